@@ -0,0 +1,27 @@
+// Hand-authored castle blueprints, keyed by world id
+// Blueprint format and loading: js/blueprints.js
+import world1 from "./world-1.js";
+import world2 from "./world-2.js";
+import world3 from "./world-3.js";
+import world4 from "./world-4.js";
+import world5 from "./world-5.js";
+import world6 from "./world-6.js";
+import world7 from "./world-7.js";
+import world8 from "./world-8.js";
+import world9 from "./world-9.js";
+import world10 from "./world-10.js";
+import world11 from "./world-11.js";
+
+export default {
+  1: world1,
+  2: world2,
+  3: world3,
+  4: world4,
+  5: world5,
+  6: world6,
+  7: world7,
+  8: world8,
+  9: world9,
+  10: world10,
+  11: world11,
+};
@@ -0,0 +1,48 @@
+// Castle blueprints for World 1 (Earth)
+// Rows run top to bottom; "." is an empty cell
+export default [
+  {
+    "id": "earth-stone-keep",
+    "name": "Stone Keep",
+    "weight": 1,
+    "rewardMultiplier": 1.5,
+    "legend": {
+      "S": { "material": "stone" },
+      "W": { "material": "wood" },
+      "R": { "material": "stone", "special": ["reinforced"] },
+      "F": { "material": "stone", "flag": true }
+    },
+    "rows": [
+      ".....F.....",
+      "....SSS....",
+      "S.S.SWS.S.S",
+      "SSS.SWS.SSS",
+      "SWS.SWS.SWS",
+      "SWS.SWS.SWS",
+      "SWSSSSSSSWS",
+      "SWWWWWWWWWS",
+      "RRRRRRRRRRR"
+    ]
+  },
+  {
+    "id": "earth-timber-hall",
+    "name": "Timber Hall",
+    "weight": 1,
+    "rewardMultiplier": 1.2,
+    "legend": {
+      "S": { "material": "stone" },
+      "W": { "material": "wood" },
+      "c": { "material": "wood", "shape": "circle" },
+      "f": { "material": "wood", "flag": true }
+    },
+    "rows": [
+      "....f....",
+      "...WWW...",
+      "..WWcWW..",
+      ".WWWWWWW.",
+      "SWSWSWSWS",
+      "SWSWSWSWS",
+      "SSSSSSSSS"
+    ]
+  }
+];
@@ -0,0 +1,27 @@
+// Castle blueprints for World 10 (Pluto)
+// Rows run top to bottom; "." is an empty cell
+export default [
+  {
+    "id": "pluto-frozen-gate",
+    "name": "Frozen Gate",
+    "weight": 1,
+    "rewardMultiplier": 1.5,
+    "legend": {
+      "S": { "material": "stone" },
+      "W": { "material": "wood" },
+      "R": { "material": "stone", "special": ["reinforced"] },
+      "F": { "material": "stone", "flag": true }
+    },
+    "rows": [
+      "..F.......S..",
+      "..S.......S..",
+      ".SSS.....SSS.",
+      ".SWS.....SWS.",
+      ".SWS.....SWS.",
+      ".SWWS...SWWS.",
+      "SSWWS...SWWSS",
+      "SSWWS...SWWSS",
+      "RRRRRRRRRRRRR"
+    ]
+  }
+];
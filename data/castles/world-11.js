@@ -0,0 +1,28 @@
+// Castle blueprints for World 11 (Ceres)
+// Rows run top to bottom; "." is an empty cell
+export default [
+  {
+    "id": "ceres-asteroid-forge",
+    "name": "Asteroid Forge",
+    "weight": 1,
+    "rewardMultiplier": 1.5,
+    "legend": {
+      "S": { "material": "stone" },
+      "W": { "material": "wood" },
+      "o": { "material": "stone", "shape": "circle" },
+      "c": { "material": "wood", "shape": "circle" },
+      "R": { "material": "stone", "special": ["reinforced"] },
+      "F": { "material": "stone", "flag": true }
+    },
+    "rows": [
+      ".....F......",
+      "....ooo.....",
+      "...oSSSo....",
+      "..cWWWWWc...",
+      "..SSSoSSS...",
+      ".SSSSSSSSS..",
+      "SSWWWWWWWSSo",
+      "RRRRRRRRRRRR"
+    ]
+  }
+];
@@ -0,0 +1,26 @@
+// Castle blueprints for World 2 (Moon)
+// Rows run top to bottom; "." is an empty cell
+export default [
+  {
+    "id": "moon-crater-outpost",
+    "name": "Crater Outpost",
+    "weight": 1,
+    "rewardMultiplier": 1.5,
+    "legend": {
+      "S": { "material": "stone" },
+      "W": { "material": "wood" },
+      "o": { "material": "stone", "shape": "circle" },
+      "R": { "material": "stone", "special": ["reinforced"] },
+      "F": { "material": "stone", "flag": true }
+    },
+    "rows": [
+      "....F....",
+      "...SoS...",
+      "..SoooS..",
+      ".SWWWWWS.",
+      "SSWWWWWSS",
+      "SSSWSWSSS",
+      "RRRRRRRRR"
+    ]
+  }
+];
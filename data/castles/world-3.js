@@ -0,0 +1,27 @@
+// Castle blueprints for World 3 (Mars)
+// Rows run top to bottom; "." is an empty cell
+export default [
+  {
+    "id": "mars-red-citadel",
+    "name": "Red Citadel",
+    "weight": 1,
+    "rewardMultiplier": 1.5,
+    "legend": {
+      "S": { "material": "stone" },
+      "W": { "material": "wood" },
+      "R": { "material": "stone", "special": ["reinforced"] },
+      "F": { "material": "stone", "flag": true }
+    },
+    "rows": [
+      "......F......",
+      "......S......",
+      ".....SSS.....",
+      "S...SWWWS...S",
+      "SS..SWWWS..SS",
+      "SWS.SSSSS.SWS",
+      "SWSSSWWWSSSWS",
+      "SWWWWWWWWWWWS",
+      "RRRRRRRRRRRRR"
+    ]
+  }
+];
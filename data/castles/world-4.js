@@ -0,0 +1,24 @@
+// Castle blueprints for World 4 (Mercury)
+// Rows run top to bottom; "." is an empty cell
+export default [
+  {
+    "id": "mercury-sunward-bunker",
+    "name": "Sunward Bunker",
+    "weight": 1,
+    "rewardMultiplier": 1.5,
+    "legend": {
+      "S": { "material": "stone" },
+      "W": { "material": "wood" },
+      "R": { "material": "stone", "special": ["reinforced"] },
+      "F": { "material": "stone", "flag": true }
+    },
+    "rows": [
+      "......F.......",
+      ".....RRR......",
+      "..RRRSSSRRR...",
+      ".RSSSWWWSSSR..",
+      "RSWWWWWWWWWSR.",
+      "RRRRRRRRRRRRRR"
+    ]
+  }
+];
@@ -0,0 +1,31 @@
+// Castle blueprints for World 5 (Venus)
+// Rows run top to bottom; "." is an empty cell
+export default [
+  {
+    "id": "venus-cloud-spires",
+    "name": "Cloud Spires",
+    "weight": 1,
+    "rewardMultiplier": 1.5,
+    "legend": {
+      "S": { "material": "stone" },
+      "W": { "material": "wood" },
+      "o": { "material": "stone", "shape": "circle" },
+      "R": { "material": "stone", "special": ["reinforced"] },
+      "F": { "material": "stone", "flag": true }
+    },
+    "rows": [
+      "F..........",
+      "S.........o",
+      "S.....o...S",
+      "S.....S...S",
+      "W.....W...W",
+      "S.....S...S",
+      "W..o..W...W",
+      "S..S..S...S",
+      "W..W..W...W",
+      "S..S..S...S",
+      "SWWSWWSWWWS",
+      "RRRRRRRRRRR"
+    ]
+  }
+];
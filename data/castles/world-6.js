@@ -0,0 +1,24 @@
+// Castle blueprints for World 6 (Jupiter)
+// Rows run top to bottom; "." is an empty cell
+export default [
+  {
+    "id": "jupiter-storm-bastion",
+    "name": "Storm Bastion",
+    "weight": 1,
+    "rewardMultiplier": 1.5,
+    "legend": {
+      "S": { "material": "stone" },
+      "W": { "material": "wood" },
+      "R": { "material": "stone", "special": ["reinforced"] },
+      "F": { "material": "stone", "flag": true }
+    },
+    "rows": [
+      ".......F........",
+      "......RRR.......",
+      "..RR.RSSSR.RR...",
+      ".RSSRSSWSSRSSR..",
+      "RSSSSSWWWSSSSSR.",
+      "RRRRRRRRRRRRRRRR"
+    ]
+  }
+];
@@ -0,0 +1,28 @@
+// Castle blueprints for World 7 (Saturn)
+// Rows run top to bottom; "." is an empty cell
+export default [
+  {
+    "id": "saturn-ringed-palace",
+    "name": "Ringed Palace",
+    "weight": 1,
+    "rewardMultiplier": 1.5,
+    "legend": {
+      "S": { "material": "stone" },
+      "W": { "material": "wood" },
+      "o": { "material": "stone", "shape": "circle" },
+      "R": { "material": "stone", "special": ["reinforced"] },
+      "F": { "material": "stone", "flag": true }
+    },
+    "rows": [
+      ".....F.....",
+      ".....o.....",
+      "....oSo....",
+      "...oSWSo...",
+      "..oSSWSSo..",
+      ".oSSSWSSSo.",
+      "oSSSSSSSSSo",
+      "SSSWWWWWSSS",
+      "RRRRRRRRRRR"
+    ]
+  }
+];
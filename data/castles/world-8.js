@@ -0,0 +1,29 @@
+// Castle blueprints for World 8 (Uranus)
+// Rows run top to bottom; "." is an empty cell
+export default [
+  {
+    "id": "uranus-ice-pagoda",
+    "name": "Ice Pagoda",
+    "weight": 1,
+    "rewardMultiplier": 1.5,
+    "legend": {
+      "S": { "material": "stone" },
+      "W": { "material": "wood" },
+      "R": { "material": "stone", "special": ["reinforced"] },
+      "F": { "material": "stone", "flag": true }
+    },
+    "rows": [
+      "......F......",
+      "......S......",
+      ".....SWS.....",
+      ".....WWW.....",
+      "....SSSSS....",
+      "....WWWWW....",
+      "...SSSSSSS...",
+      "...WWWWWWW...",
+      "..SSSSSSSSS..",
+      ".WWWWWWWWWWW.",
+      "RRRRRRRRRRRRR"
+    ]
+  }
+];
@@ -0,0 +1,30 @@
+// Castle blueprints for World 9 (Neptune)
+// Rows run top to bottom; "." is an empty cell
+export default [
+  {
+    "id": "neptune-trident-towers",
+    "name": "Trident Towers",
+    "weight": 1,
+    "rewardMultiplier": 1.5,
+    "legend": {
+      "S": { "material": "stone" },
+      "W": { "material": "wood" },
+      "o": { "material": "stone", "shape": "circle" },
+      "R": { "material": "stone", "special": ["reinforced"] },
+      "F": { "material": "stone", "flag": true }
+    },
+    "rows": [
+      "......F......",
+      "o.....S.....o",
+      "S.....S.....S",
+      "S....SSS....S",
+      "W....WWW....W",
+      "S....SSS....S",
+      "W...WWWWW...W",
+      "S...SSSSS...S",
+      "SS.SWWWWWS.SS",
+      "SSSSSSSSSSSSS",
+      "RRRRRRRRRRRRR"
+    ]
+  }
+];
@@ -0,0 +1,4182 @@
+// Firing Table Data for World 1
+// Cannonball size level 0 (radius 8.0px)
+// Generated on 2026-10-19T18:31:48.654Z
+export default {
+  0: {
+    0: [100, 101],
+    10: [96, 100, 101],
+    20: [96, 101, 102],
+    30: [96, 101, 102],
+    40: [96, 102, 103],
+    50: [96, 102, 103],
+    60: [96, 102, 103],
+    70: [96, 103, 104],
+    80: [96, 103, 104],
+    90: [96, 104, 105],
+    100: [96, 104, 105, 106],
+    110: [96, 105, 106],
+    120: [96, 105, 106, 107],
+    130: [96, 106, 107],
+    140: [96, 106, 107, 108],
+    150: [107, 108],
+    160: [107, 108, 109],
+    170: [108, 109, 110],
+    180: [95, 109, 110, 111],
+    190: [95, 109, 110, 111],
+    200: [95, 110, 111, 112],
+    210: [95, 111, 112, 113],
+    220: [95, 112, 113, 114],
+    230: [95, 112, 113, 114, 115],
+    240: [95, 113, 114, 115, 116],
+    250: [95, 115, 116, 117],
+    260: [95, 115, 116, 117, 118, 119],
+    270: [95, 117, 118, 119, 120],
+    280: [95, 118, 119, 120, 121],
+    290: [95, 119, 120, 121, 122, 123],
+    300: [95, 121, 122, 123, 124],
+    310: [95, 122, 123, 124, 125, 126],
+    320: [95, 124, 125, 126, 127],
+    330: [95, 125, 126, 127, 128, 129, 130],
+    340: [95, 128, 129, 130, 131, 132],
+    350: [95, 130, 131, 132, 133, 134, 135],
+    360: [95, 132, 133, 134, 135, 136, 137],
+    370: [95, 135, 136, 137, 138, 139],
+    380: [95, 137, 138, 139, 140, 141, 142, 143],
+    390: [95, 140, 141, 142, 143, 144, 145, 146],
+    400: [95, 144, 145, 146, 147, 148, 149],
+    410: [95, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    420: [95, 150, 151, 152, 153, 154, 155, 156, 157],
+    430: [95, 155, 156, 157, 158, 159, 160],
+    440: [95, 160, 161, 162, 163, 164, 165],
+    450: [95, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    460: [95, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [95, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    480: [95, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    490: [95, 182, 183, 184, 185, 186]
+  },
+  10: {
+    0: [99, 100],
+    10: [96, 100],
+    20: [96, 100, 101],
+    30: [96, 100, 101],
+    40: [96, 101, 102],
+    50: [96, 101, 102],
+    60: [95, 96, 101, 102],
+    70: [95, 102, 103],
+    80: [95, 102, 103],
+    90: [95, 103, 104],
+    100: [95, 103, 104],
+    110: [95, 103, 104, 105],
+    120: [95, 104, 105],
+    130: [95, 104, 105, 106],
+    140: [95, 105, 106, 107],
+    150: [95, 105, 106, 107],
+    160: [95, 106, 107, 108],
+    170: [95, 106, 107, 108, 109],
+    180: [95, 107, 108, 109],
+    190: [95, 108, 109, 110],
+    200: [95, 108, 109, 110, 111],
+    210: [95, 109, 110, 111, 112],
+    220: [95, 110, 111, 112, 113],
+    230: [95, 111, 112, 113],
+    240: [95, 111, 112, 113, 114, 115],
+    250: [95, 113, 114, 115, 116],
+    260: [95, 114, 115, 116],
+    270: [95, 114, 115, 116, 117, 118],
+    280: [95, 116, 117, 118, 119],
+    290: [95, 117, 118, 119, 120, 121],
+    300: [95, 119, 120, 121, 122],
+    310: [95, 120, 121, 122, 123, 124],
+    320: [95, 122, 123, 124, 125, 126],
+    330: [95, 123, 124, 125, 126, 127, 128],
+    340: [125, 126, 127, 128, 129, 130],
+    350: [127, 128, 129, 130, 131, 132],
+    360: [130, 131, 132, 133, 134],
+    370: [132, 133, 134, 135, 136, 137, 138],
+    380: [135, 136, 137, 138, 139, 140],
+    390: [138, 139, 140, 141, 142, 143, 144],
+    400: [141, 142, 143, 144, 145, 146, 147, 148],
+    410: [145, 146, 147, 148, 149, 150],
+    420: [149, 150, 151, 152, 153, 154, 155, 156],
+    430: [152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    440: [157, 158, 159, 160, 161, 162, 163, 164, 165],
+    450: [162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [168, 169, 170, 171, 172, 173, 174],
+    470: [173, 174, 175, 176, 177, 178, 179],
+    480: [179, 180, 181, 182, 183, 184],
+    490: [183, 184, 185, 186]
+  },
+  20: {
+    0: [98, 99],
+    10: [95, 99, 100],
+    20: [95, 99, 100],
+    30: [95, 99, 100],
+    40: [95, 100, 101],
+    50: [95, 100, 101],
+    60: [95, 100, 101],
+    70: [95, 101, 102],
+    80: [95, 101, 102],
+    90: [95, 101, 102, 103],
+    100: [95, 102, 103],
+    110: [95, 102, 103, 104],
+    120: [95, 103, 104],
+    130: [95, 103, 104, 105],
+    140: [95, 103, 104, 105],
+    150: [95, 104, 105, 106],
+    160: [95, 105, 106],
+    170: [95, 105, 106, 107],
+    180: [105, 106, 107, 108],
+    190: [106, 107, 108],
+    200: [107, 108, 109],
+    210: [107, 108, 109, 110],
+    220: [94, 108, 109, 110, 111],
+    230: [94, 109, 110, 111, 112],
+    240: [94, 110, 111, 112],
+    250: [94, 110, 111, 112, 113, 114],
+    260: [94, 112, 113, 114, 115],
+    270: [94, 112, 113, 114, 115, 116],
+    280: [94, 114, 115, 116, 117],
+    290: [94, 115, 116, 117, 118],
+    300: [94, 116, 117, 118, 119, 120],
+    310: [94, 118, 119, 120, 121],
+    320: [94, 119, 120, 121, 122, 123, 124],
+    330: [94, 122, 123, 124, 125],
+    340: [94, 122, 123, 124, 125, 126, 127, 128],
+    350: [94, 126, 127, 128, 129],
+    360: [94, 126, 127, 128, 129, 130, 131, 132, 133],
+    370: [94, 130, 131, 132, 133, 134],
+    380: [94, 132, 133, 134, 135, 136, 137, 138, 139],
+    390: [94, 135, 136, 137, 138, 139, 140, 141, 142],
+    400: [94, 140, 141, 142, 143, 144],
+    410: [94, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    420: [94, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    430: [94, 152, 153, 154, 155, 156, 157],
+    440: [94, 157, 158, 159, 160, 161, 162, 163],
+    450: [94, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [94, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [94, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    480: [94, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    490: [94, 182, 183, 184, 185, 186, 187, 188],
+    500: [188]
+  },
+  30: {
+    0: [98],
+    10: [95, 98, 99],
+    20: [95, 98, 99],
+    30: [95, 98, 99],
+    40: [95, 99, 100],
+    50: [95, 99, 100],
+    60: [94, 99, 100],
+    70: [94, 100, 101],
+    80: [94, 100, 101],
+    90: [94, 100, 101, 102],
+    100: [94, 101, 102],
+    110: [94, 101, 102],
+    120: [94, 101, 102, 103],
+    130: [94, 102, 103],
+    140: [94, 102, 103, 104],
+    150: [94, 103, 104],
+    160: [94, 103, 104, 105],
+    170: [94, 104, 105],
+    180: [94, 104, 105, 106],
+    190: [94, 104, 105, 106, 107],
+    200: [94, 105, 106, 107, 108],
+    210: [94, 106, 107, 108],
+    220: [94, 106, 107, 108, 109],
+    230: [94, 107, 108, 109, 110],
+    240: [94, 108, 109, 110, 111],
+    250: [94, 109, 110, 111, 112],
+    260: [94, 109, 110, 111, 112, 113],
+    270: [94, 111, 112, 113],
+    280: [94, 111, 112, 113, 114, 115],
+    290: [94, 113, 114, 115, 116],
+    300: [94, 114, 115, 116, 117, 118],
+    310: [94, 115, 116, 117, 118, 119],
+    320: [94, 117, 118, 119, 120, 121],
+    330: [94, 118, 119, 120, 121, 122, 123],
+    340: [94, 120, 121, 122, 123, 124],
+    350: [94, 122, 123, 124, 125, 126, 127, 128],
+    360: [94, 124, 125, 126, 127, 128, 129],
+    370: [94, 126, 127, 128, 129, 130, 131, 132, 133],
+    380: [94, 129, 130, 131, 132, 133, 134, 135, 136],
+    390: [94, 133, 134, 135, 136, 137, 138],
+    400: [94, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    410: [94, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    420: [94, 145, 146, 147, 148, 149, 150, 151],
+    430: [94, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    440: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    460: [94, 166, 167, 168, 169, 170, 171, 172, 173],
+    470: [173, 174, 175, 176, 177, 178],
+    480: [180, 181, 182, 183, 184, 185],
+    490: [185, 186, 187, 188]
+  },
+  40: {
+    0: [97],
+    10: [94, 97, 98],
+    20: [94, 97, 98],
+    30: [94, 97, 98],
+    40: [94, 98, 99],
+    50: [94, 98, 99],
+    60: [94, 98, 99],
+    70: [94, 98, 99, 100],
+    80: [94, 99, 100],
+    90: [94, 99, 100],
+    100: [94, 99, 100, 101],
+    110: [94, 100, 101],
+    120: [94, 100, 101, 102],
+    130: [94, 100, 101, 102],
+    140: [94, 101, 102],
+    150: [94, 101, 102, 103],
+    160: [94, 101, 102, 103, 104],
+    170: [94, 102, 103, 104],
+    180: [94, 103, 104],
+    190: [94, 103, 104, 105],
+    200: [94, 103, 104, 105, 106],
+    210: [104, 105, 106, 107],
+    220: [105, 106, 107],
+    230: [105, 106, 107, 108],
+    240: [106, 107, 108, 109],
+    250: [107, 108, 109],
+    260: [107, 108, 109, 110, 111],
+    270: [108, 109, 110, 111, 112],
+    280: [109, 110, 111, 112, 113],
+    290: [110, 111, 112, 113, 114],
+    300: [112, 113, 114, 115],
+    310: [112, 113, 114, 115, 116, 117],
+    320: [93, 114, 115, 116, 117, 118],
+    330: [93, 115, 116, 117, 118, 119, 120],
+    340: [93, 117, 118, 119, 120, 121, 122],
+    350: [93, 118, 119, 120, 121, 122, 123, 124, 125],
+    360: [93, 121, 122, 123, 124, 125, 126, 127],
+    370: [93, 123, 124, 125, 126, 127, 128, 129, 130],
+    380: [93, 127, 128, 129, 130, 131],
+    390: [93, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    400: [93, 133, 134, 135, 136, 137, 138, 139],
+    410: [93, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    420: [93, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    430: [93, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    440: [93, 152, 153, 154, 155, 156, 157, 158, 159],
+    450: [93, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    460: [93, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [93, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    480: [93, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190],
+    490: [93, 184, 185, 186, 187, 188, 189, 190, 191],
+    500: [191]
+  },
+  50: {
+    0: [96, 97],
+    10: [94, 96, 97],
+    20: [94, 96, 97],
+    30: [94, 96, 97],
+    40: [94, 97, 98],
+    50: [94, 97, 98],
+    60: [93, 97, 98],
+    70: [93, 97, 98, 99],
+    80: [93, 98, 99],
+    90: [93, 98, 99],
+    100: [93, 98, 99, 100],
+    110: [93, 98, 99, 100],
+    120: [93, 99, 100],
+    130: [93, 99, 100, 101],
+    140: [93, 99, 100, 101],
+    150: [93, 100, 101, 102],
+    160: [93, 100, 101, 102],
+    170: [93, 100, 101, 102, 103],
+    180: [93, 101, 102, 103],
+    190: [93, 101, 102, 103],
+    200: [93, 102, 103, 104],
+    210: [93, 102, 103, 104, 105],
+    220: [93, 103, 104, 105],
+    230: [93, 103, 104, 105, 106],
+    240: [93, 104, 105, 106, 107],
+    250: [93, 105, 106, 107, 108],
+    260: [93, 105, 106, 107, 108],
+    270: [93, 106, 107, 108, 109, 110],
+    280: [93, 107, 108, 109, 110],
+    290: [93, 107, 108, 109, 110, 111, 112],
+    300: [93, 109, 110, 111, 112, 113],
+    310: [93, 110, 111, 112, 113, 114],
+    320: [93, 111, 112, 113, 114, 115, 116],
+    330: [93, 113, 114, 115, 116, 117],
+    340: [93, 113, 114, 115, 116, 117, 118, 119, 120],
+    350: [93, 116, 117, 118, 119, 120],
+    360: [93, 117, 118, 119, 120, 121, 122, 123, 124],
+    370: [93, 120, 121, 122, 123, 124, 125],
+    380: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    390: [93, 125, 126, 127, 128, 129, 130, 131, 132],
+    400: [93, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    410: [93, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    420: [93, 139, 140, 141, 142, 143],
+    430: [93, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    440: [93, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    450: [93, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    460: [93, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    470: [93, 173, 174, 175, 176, 177, 178],
+    480: [93, 181, 182, 183, 184, 185, 186],
+    490: [93, 187, 188, 189, 190, 191]
+  },
+  60: {
+    0: [95, 96],
+    10: [93, 95, 96],
+    20: [93, 95, 96],
+    30: [93, 96],
+    40: [93, 96, 97],
+    50: [93, 96, 97],
+    60: [93, 96, 97],
+    70: [93, 96, 97, 98],
+    80: [93, 96, 97, 98],
+    90: [93, 97, 98],
+    100: [93, 97, 98],
+    110: [93, 97, 98, 99],
+    120: [93, 97, 98, 99],
+    130: [93, 98, 99],
+    140: [93, 98, 99, 100],
+    150: [93, 98, 99, 100],
+    160: [93, 98, 99, 100],
+    170: [93, 99, 100, 101],
+    180: [93, 99, 100, 101],
+    190: [93, 100, 101, 102],
+    200: [93, 100, 101, 102],
+    210: [93, 100, 101, 102, 103],
+    220: [93, 101, 102, 103, 104],
+    230: [93, 102, 103, 104],
+    240: [93, 102, 103, 104, 105],
+    250: [93, 102, 103, 104, 105, 106],
+    260: [93, 103, 104, 105, 106],
+    270: [93, 103, 104, 105, 106, 107],
+    280: [104, 105, 106, 107, 108],
+    290: [105, 106, 107, 108, 109],
+    300: [106, 107, 108, 109, 110],
+    310: [108, 109, 110],
+    320: [107, 108, 109, 110, 111, 112, 113],
+    330: [109, 110, 111, 112, 113, 114],
+    340: [110, 111, 112, 113, 114, 115, 116],
+    350: [112, 113, 114, 115, 116, 117, 118],
+    360: [113, 114, 115, 116, 117, 118, 119, 120],
+    370: [116, 117, 118, 119, 120, 121, 122, 123],
+    380: [117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    390: [121, 122, 123, 124, 125, 126, 127, 128],
+    400: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    410: [130, 131, 132, 133, 134],
+    420: [131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    430: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    440: [147, 148, 149, 150, 151],
+    450: [150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    460: [157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    470: [166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192, 193, 194],
+    490: [185, 186, 187, 188, 189, 190, 191, 192, 193, 194, 195, 196],
+    500: [195, 196]
+  },
+  70: {
+    0: [94, 95],
+    10: [93, 94, 95],
+    20: [93, 94, 95],
+    30: [93, 95],
+    40: [93, 95, 96],
+    50: [95, 96],
+    60: [92, 95, 96],
+    70: [92, 95, 96],
+    80: [92, 95, 96, 97],
+    90: [92, 95, 96, 97],
+    100: [92, 96, 97],
+    110: [92, 96, 97],
+    120: [92, 96, 97, 98],
+    130: [92, 96, 97, 98],
+    140: [92, 97, 98],
+    150: [92, 97, 98],
+    160: [92, 97, 98, 99],
+    170: [92, 97, 98, 99],
+    180: [92, 97, 98, 99, 100],
+    190: [92, 98, 99, 100],
+    200: [92, 98, 99, 100],
+    210: [92, 98, 99, 100, 101],
+    220: [92, 99, 100, 101, 102],
+    230: [92, 99, 100, 101, 102],
+    240: [92, 100, 101, 102, 103],
+    250: [92, 100, 101, 102, 103],
+    260: [92, 101, 102, 103, 104],
+    270: [92, 101, 102, 103, 104, 105],
+    280: [92, 101, 102, 103, 104, 105, 106],
+    290: [92, 103, 104, 105, 106],
+    300: [92, 103, 104, 105, 106, 107, 108],
+    310: [92, 104, 105, 106, 107, 108],
+    320: [92, 105, 106, 107, 108, 109, 110],
+    330: [92, 105, 106, 107, 108, 109, 110, 111],
+    340: [92, 107, 108, 109, 110, 111, 112],
+    350: [92, 108, 109, 110, 111, 112, 113, 114, 115],
+    360: [92, 111, 112, 113, 114, 115],
+    370: [92, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    380: [92, 115, 116, 117, 118, 119],
+    390: [92, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    400: [92, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    410: [92, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    420: [92, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    430: [92, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    440: [92, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    450: [92, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    460: [92, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    470: [92, 171, 172, 173, 174, 175, 176, 177],
+    480: [92, 183, 184, 185, 186, 187, 188],
+    490: [92, 190, 191, 192, 193, 194, 195, 196]
+  },
+  80: {
+    0: [92, 93, 94],
+    10: [92, 93, 94],
+    20: [92, 93, 94],
+    30: [92, 94, 95],
+    40: [92, 94, 95],
+    50: [92, 94, 95],
+    60: [92, 94, 95],
+    70: [92, 94, 95],
+    80: [92, 94, 95],
+    90: [92, 94, 95, 96],
+    100: [92, 94, 95, 96],
+    110: [92, 94, 95, 96],
+    120: [92, 95, 96],
+    130: [92, 95, 96, 97],
+    140: [92, 95, 96, 97],
+    150: [92, 95, 96, 97],
+    160: [92, 96, 97],
+    170: [92, 96, 97, 98],
+    180: [92, 96, 97, 98],
+    190: [92, 96, 97, 98],
+    200: [92, 96, 97, 98, 99],
+    210: [92, 97, 98, 99],
+    220: [92, 97, 98, 99, 100],
+    230: [92, 97, 98, 99, 100],
+    240: [92, 98, 99, 100],
+    250: [92, 98, 99, 100, 101],
+    260: [92, 98, 99, 100, 101, 102],
+    270: [92, 99, 100, 101, 102],
+    280: [92, 99, 100, 101, 102, 103],
+    290: [92, 100, 101, 102, 103],
+    300: [92, 100, 101, 102, 103, 104],
+    310: [92, 100, 101, 102, 103, 104, 105, 106],
+    320: [92, 102, 103, 104, 105, 106],
+    330: [92, 102, 103, 104, 105, 106, 107, 108],
+    340: [92, 104, 105, 106, 107, 108],
+    350: [92, 104, 105, 106, 107, 108, 109, 110, 111],
+    360: [92, 106, 107, 108, 109, 110, 111, 112],
+    370: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    380: [92, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    390: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    400: [92, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    410: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    420: [122, 123, 124, 125, 126, 127, 128, 129, 130],
+    430: [92, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    440: [92, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146]
+  },
+  90: {
+    0: [92, 93],
+    10: [92, 93],
+    20: [92, 93],
+    30: [92, 93, 94],
+    40: [92, 93, 94],
+    50: [92, 93, 94],
+    60: [93, 94],
+    70: [91, 93, 94],
+    80: [91, 93, 94],
+    90: [91, 93, 94],
+    100: [91, 93, 94, 95],
+    110: [91, 93, 94, 95],
+    120: [91, 93, 94, 95],
+    130: [91, 93, 94, 95],
+    140: [91, 93, 94, 95],
+    150: [91, 94, 95, 96],
+    160: [91, 94, 95, 96],
+    170: [91, 94, 95, 96],
+    180: [91, 94, 95, 96],
+    190: [91, 94, 95, 96, 97],
+    200: [91, 94, 95, 96, 97],
+    210: [91, 95, 96, 97],
+    220: [91, 95, 96, 97, 98],
+    230: [91, 95, 96, 97, 98],
+    240: [91, 96, 97, 98],
+    250: [91, 95, 96, 97, 98, 99],
+    260: [91, 96, 97, 98, 99],
+    270: [91, 97, 98, 99],
+    280: [91, 96, 97, 98, 99, 100],
+    290: [91, 97, 98, 99, 100, 101],
+    300: [91, 97, 98, 99, 100, 101],
+    310: [91, 97, 98, 99, 100, 101, 102, 103],
+    320: [91, 99, 100, 101, 102],
+    330: [91, 98, 99, 100, 101, 102, 103, 104],
+    340: [91, 99, 100, 101, 102, 103, 104, 105],
+    350: [91, 100, 101, 102, 103, 104, 105, 106],
+    360: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    370: [91, 102, 103, 104, 105, 106, 107, 108, 109],
+    380: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    390: [91, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    400: [91, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    410: [91, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    420: [91, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    430: [91, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  100: {
+    0: [91, 92],
+    10: [91, 92],
+    20: [91, 92],
+    30: [91, 92, 93],
+    40: [91, 92, 93],
+    50: [91, 92, 93],
+    60: [91, 92, 93],
+    70: [91, 92, 93],
+    80: [91, 92, 93],
+    90: [91, 92, 93],
+    100: [91, 92, 93],
+    110: [91, 92, 93],
+    120: [91, 92, 93, 94],
+    130: [91, 92, 93, 94],
+    140: [91, 92, 93, 94],
+    150: [91, 92, 93, 94],
+    160: [91, 92, 93, 94],
+    170: [91, 92, 93, 94],
+    180: [91, 92, 93, 94, 95],
+    190: [91, 92, 93, 94, 95],
+    200: [91, 93, 94, 95],
+    210: [91, 93, 94, 95],
+    220: [91, 93, 94, 95, 96],
+    230: [91, 93, 94, 95, 96],
+    240: [91, 93, 94, 95, 96],
+    250: [91, 93, 94, 95, 96],
+    260: [91, 93, 94, 95, 96, 97],
+    270: [91, 94, 95, 96, 97],
+    280: [91, 93, 94, 95, 96, 97, 98],
+    290: [91, 94, 95, 96, 97, 98],
+    300: [91, 95, 96, 97, 98],
+    310: [91, 94, 95, 96, 97, 98, 99],
+    320: [91, 95, 96, 97, 98, 99],
+    330: [91, 95, 96, 97, 98, 99, 100],
+    340: [91, 95, 96, 97, 98, 99, 100, 101, 102],
+    350: [91, 96, 97, 98, 99, 100, 101, 102],
+    360: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    370: [91, 98, 99, 100, 101, 102, 103],
+    380: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    390: [91, 100, 101, 102, 103, 104, 105, 106],
+    400: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    410: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    420: [91, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    430: [91],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  110: {
+    0: [91],
+    10: [91],
+    20: [91],
+    30: [91, 92],
+    40: [91, 92],
+    50: [91, 92],
+    60: [91, 92],
+    70: [91, 92],
+    80: [91, 92],
+    90: [91, 92],
+    100: [91, 92],
+    110: [91, 92],
+    120: [91, 92],
+    130: [91, 92],
+    140: [91, 92],
+    150: [91, 92, 93],
+    160: [91, 92, 93],
+    170: [91, 92, 93],
+    180: [91, 92, 93],
+    190: [91, 92, 93],
+    200: [91, 92, 93],
+    210: [91, 92, 93],
+    220: [91, 92, 93],
+    230: [91, 92, 93, 94],
+    240: [91, 92, 93, 94],
+    250: [91, 92, 93, 94],
+    260: [91, 92, 93, 94],
+    270: [91, 92, 93, 94],
+    280: [91, 92, 93, 94, 95],
+    290: [91, 92, 93, 94, 95],
+    300: [92, 93, 94],
+    310: [91, 92, 93, 94, 95, 96],
+    320: [91, 92, 93, 94, 95, 96],
+    330: [91, 92, 93, 94, 95, 96, 97],
+    340: [91, 92, 93, 94, 95, 96, 97, 98],
+    350: [92, 93, 94, 95, 96, 97],
+    360: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    370: [93, 94, 95, 96, 97, 98],
+    380: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    390: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    400: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    410: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    420: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109]
+  },
+  120: {
+    0: [90],
+    10: [90],
+    20: [90],
+    30: [89, 90, 91],
+    40: [90],
+    50: [89, 90, 91],
+    60: [89, 90, 91],
+    70: [89, 90, 91],
+    80: [89, 90, 91],
+    90: [89, 90, 91],
+    100: [89, 90, 91],
+    110: [89, 90, 91],
+    120: [89, 90, 91],
+    130: [89, 90, 91],
+    140: [89, 90, 91],
+    150: [89, 90, 91],
+    160: [89, 90, 91],
+    170: [89, 90, 91],
+    180: [89, 90, 91],
+    190: [89, 90, 91],
+    200: [89, 90, 91],
+    210: [89, 90, 91],
+    220: [89, 90, 91],
+    230: [88, 89, 90, 91, 92],
+    240: [89, 90, 91],
+    250: [88, 89, 90, 91, 92],
+    260: [88, 89, 90, 91, 92],
+    270: [88, 89, 90, 91, 92],
+    280: [88, 89, 90, 91, 92],
+    290: [88, 89, 90, 91, 92],
+    300: [89, 90, 91],
+    310: [87, 88, 89, 90, 91, 92, 93],
+    320: [87, 88, 89, 90, 91, 92, 93],
+    330: [87, 88, 89, 90, 91, 92, 93],
+    340: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    350: [88, 89, 90, 91, 92],
+    360: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    370: [87, 88, 89, 90, 91, 92, 93],
+    380: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    390: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    400: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    410: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    420: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98]
+  },
+  130: {
+    0: [89],
+    10: [89],
+    20: [89],
+    30: [88, 89],
+    40: [88, 89],
+    50: [88, 89],
+    60: [88, 89],
+    70: [88, 89],
+    80: [88, 89],
+    90: [88, 89],
+    100: [88, 89],
+    110: [88, 89],
+    120: [88, 89],
+    130: [88, 89],
+    140: [88, 89],
+    150: [87, 88, 89],
+    160: [87, 88, 89],
+    170: [87, 88, 89],
+    180: [87, 88, 89],
+    190: [87, 88, 89],
+    200: [87, 88, 89],
+    210: [87, 88, 89],
+    220: [87, 88, 89],
+    230: [86, 87, 88, 89],
+    240: [86, 87, 88, 89],
+    250: [86, 87, 88, 89],
+    260: [86, 87, 88, 89],
+    270: [86, 87, 88, 89],
+    280: [85, 86, 87, 88, 89],
+    290: [85, 86, 87, 88, 89],
+    300: [86, 87, 88],
+    310: [84, 85, 86, 87, 88, 89],
+    320: [84, 85, 86, 87, 88, 89],
+    330: [83, 84, 85, 86, 87, 88, 89],
+    340: [82, 83, 84, 85, 86, 87, 88, 89],
+    350: [83, 84, 85, 86, 87, 88],
+    360: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    370: [82, 83, 84, 85, 86, 87],
+    380: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    390: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    400: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    410: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    420: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88]
+  },
+  140: {
+    0: [88, 89],
+    10: [88, 89],
+    20: [88, 89],
+    30: [87, 88, 89],
+    40: [87, 88, 89],
+    50: [87, 88, 89],
+    60: [87, 88, 89],
+    70: [87, 88, 89],
+    80: [87, 88, 89],
+    90: [87, 88, 89],
+    100: [87, 88, 89],
+    110: [87, 88, 89],
+    120: [86, 87, 88, 89],
+    130: [86, 87, 88, 89],
+    140: [86, 87, 88, 89],
+    150: [86, 87, 88, 89],
+    160: [86, 87, 88, 89],
+    170: [86, 87, 88, 89],
+    180: [85, 86, 87, 88, 89],
+    190: [85, 86, 87, 88, 89],
+    200: [85, 86, 87, 89],
+    210: [85, 86, 87, 89],
+    220: [84, 85, 86, 87, 89],
+    230: [84, 85, 86, 87, 89],
+    240: [84, 85, 86, 87, 89],
+    250: [84, 85, 86, 87, 89],
+    260: [83, 84, 85, 86, 87, 89],
+    270: [83, 84, 85, 86, 89],
+    280: [82, 83, 84, 85, 86, 87, 89],
+    290: [82, 83, 84, 85, 86, 89],
+    300: [82, 83, 84, 85, 89],
+    310: [81, 82, 83, 84, 85, 86, 89],
+    320: [81, 82, 83, 84, 85, 89],
+    330: [80, 81, 82, 83, 84, 85, 89],
+    340: [78, 79, 80, 81, 82, 83, 84, 85, 89],
+    350: [78, 79, 80, 81, 82, 83, 84, 89],
+    360: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    370: [77, 78, 79, 80, 81, 82, 89],
+    380: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    390: [74, 75, 76, 77, 78, 79, 80, 89],
+    400: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    410: [69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    420: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 89],
+    430: [89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  150: {
+    0: [87, 88],
+    10: [87, 88],
+    20: [87, 88],
+    30: [86, 87, 88],
+    40: [86, 87, 88],
+    50: [86, 87, 88],
+    60: [86, 87],
+    70: [86, 87, 89],
+    80: [86, 87, 89],
+    90: [86, 87, 89],
+    100: [85, 86, 87, 89],
+    110: [85, 86, 87, 89],
+    120: [85, 86, 87, 89],
+    130: [85, 86, 87, 89],
+    140: [85, 86, 87, 89],
+    150: [84, 85, 86, 89],
+    160: [84, 85, 86, 89],
+    170: [84, 85, 86, 89],
+    180: [84, 85, 86, 89],
+    190: [83, 84, 85, 86, 89],
+    200: [83, 84, 85, 86, 89],
+    210: [83, 84, 85, 89],
+    220: [82, 83, 84, 85, 89],
+    230: [82, 83, 84, 85, 89],
+    240: [82, 83, 84, 89],
+    250: [81, 82, 83, 84, 85, 89],
+    260: [81, 82, 83, 84, 89],
+    270: [81, 82, 83, 89],
+    280: [80, 81, 82, 83, 84, 89],
+    290: [79, 80, 81, 82, 83, 89],
+    300: [79, 80, 81, 82, 83, 89],
+    310: [77, 78, 79, 80, 81, 82, 83, 89],
+    320: [78, 79, 80, 81, 89],
+    330: [76, 77, 78, 79, 80, 81, 82, 89],
+    340: [75, 76, 77, 78, 79, 80, 81, 89],
+    350: [74, 75, 76, 77, 78, 79, 80, 89],
+    360: [72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    370: [71, 72, 73, 74, 75, 76, 77, 78, 89],
+    380: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    390: [67, 68, 69, 70, 71, 72, 73, 74, 75, 89],
+    400: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 89],
+    410: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 89],
+    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 89],
+    430: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  160: {
+    0: [86, 87, 88],
+    10: [86, 87, 88],
+    20: [86, 87, 88],
+    30: [85, 86, 88],
+    40: [85, 86, 88],
+    50: [85, 86, 88],
+    60: [85, 86, 88],
+    70: [85, 86, 88],
+    80: [85, 86, 88],
+    90: [84, 85, 86, 88],
+    100: [84, 85, 86, 88],
+    110: [84, 85, 86, 88],
+    120: [84, 85, 88],
+    130: [83, 84, 85, 88],
+    140: [83, 84, 85, 88],
+    150: [83, 84, 85, 88],
+    160: [83, 84, 88],
+    170: [82, 83, 84, 88],
+    180: [82, 83, 84, 88],
+    190: [82, 83, 84, 88],
+    200: [81, 82, 83, 84, 88],
+    210: [81, 82, 83, 88],
+    220: [80, 81, 82, 83, 88],
+    230: [80, 81, 82, 83, 88],
+    240: [80, 81, 82, 88],
+    250: [79, 80, 81, 82, 88],
+    260: [78, 79, 80, 81, 82, 88],
+    270: [78, 79, 80, 81, 88],
+    280: [77, 78, 79, 80, 81, 88],
+    290: [77, 78, 79, 80, 88],
+    300: [76, 77, 78, 79, 80, 88],
+    310: [74, 75, 76, 77, 78, 79, 80, 88],
+    320: [74, 75, 76, 77, 78, 88],
+    330: [72, 73, 74, 75, 76, 77, 78, 88],
+    340: [72, 73, 74, 75, 76, 88],
+    350: [69, 70, 71, 72, 73, 74, 75, 76, 88],
+    360: [68, 69, 70, 71, 72, 73, 74, 88],
+    370: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
+    380: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 88],
+    390: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    400: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 88],
+    410: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    420: [50, 51, 52, 53, 54, 55, 56, 57, 58],
+    430: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 88],
+    440: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 88]
+  },
+  170: {
+    0: [85, 86],
+    10: [85, 86, 87],
+    20: [85, 86, 87],
+    30: [85, 87],
+    40: [84, 85, 87],
+    50: [84, 85],
+    60: [84, 85, 88],
+    70: [84, 85, 88],
+    80: [83, 84, 85, 88],
+    90: [83, 84, 85, 88],
+    100: [83, 84, 88],
+    110: [83, 84, 88],
+    120: [82, 83, 84, 88],
+    130: [82, 83, 84, 88],
+    140: [82, 83, 88],
+    150: [82, 83, 88],
+    160: [81, 82, 83, 88],
+    170: [81, 82, 83, 88],
+    180: [80, 81, 82, 83, 88],
+    190: [80, 81, 82, 88],
+    200: [80, 81, 82, 88],
+    210: [79, 80, 81, 82, 88],
+    220: [78, 79, 80, 81, 88],
+    230: [78, 79, 80, 81, 88],
+    240: [77, 78, 79, 80, 88],
+    250: [77, 78, 79, 80, 88],
+    260: [76, 77, 78, 79, 88],
+    270: [75, 76, 77, 78, 79, 88],
+    280: [74, 75, 76, 77, 78, 79, 88],
+    290: [74, 75, 76, 77, 88],
+    300: [72, 73, 74, 75, 76, 77, 88],
+    310: [72, 73, 74, 75, 76, 88],
+    320: [70, 71, 72, 73, 74, 75, 88],
+    330: [69, 70, 71, 72, 73, 74, 75, 88],
+    340: [68, 69, 70, 71, 72, 73, 88],
+    350: [65, 66, 67, 68, 69, 70, 71, 72, 88],
+    360: [65, 66, 67, 68, 69, 88],
+    370: [61, 62, 63, 64, 65, 66, 67, 68, 69, 88],
+    380: [61, 62, 63, 64, 65, 88],
+    390: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 88],
+    400: [53, 54, 55, 56, 57, 58, 59, 60, 61, 88],
+    410: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 88],
+    420: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 88],
+    430: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 88],
+    440: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 88],
+    450: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 88],
+    460: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 88],
+    470: [3, 4, 5, 6, 7, 8, 9, 88],
+    480: [88, 352, 353, 354, 355, 356, 357],
+    490: [88, 344, 345, 346, 347, 348, 349, 350]
+  },
+  180: {
+    0: [84, 85],
+    10: [84, 85, 87],
+    20: [84, 85, 87],
+    30: [84, 87],
+    40: [83, 84, 87],
+    50: [83, 84, 87],
+    60: [83, 84, 87],
+    70: [82, 83, 84, 87],
+    80: [82, 83, 84, 87],
+    90: [82, 83, 87],
+    100: [82, 83, 87],
+    110: [81, 82, 83, 87],
+    120: [81, 82, 83, 87],
+    130: [81, 82, 87],
+    140: [80, 81, 82, 87],
+    150: [80, 81, 82, 87],
+    160: [80, 81, 82, 87],
+    170: [79, 80, 81, 87],
+    180: [79, 80, 81, 87],
+    190: [78, 79, 80, 87],
+    200: [78, 79, 80, 87],
+    210: [77, 78, 79, 80, 87],
+    220: [76, 77, 78, 79, 87],
+    230: [76, 77, 78, 87],
+    240: [75, 76, 77, 78, 87],
+    250: [74, 75, 76, 77, 78, 87],
+    260: [74, 75, 76, 77, 87],
+    270: [73, 74, 75, 76, 77, 87],
+    280: [72, 73, 74, 75, 76],
+    290: [71, 72, 73, 74, 75],
+    300: [70, 71, 72, 73, 74],
+    310: [70, 71, 72],
+    320: [67, 68, 69, 70, 71, 72, 73],
+    330: [66, 67, 68, 69, 70, 71],
+    340: [64, 65, 66, 67, 68, 69, 70],
+    350: [62, 63, 64, 65, 66, 67, 68],
+    360: [60, 61, 62, 63, 64, 65, 66, 67],
+    370: [57, 58, 59, 60, 61, 62, 63, 64],
+    380: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    390: [52, 53, 54, 55, 56, 57, 58, 59],
+    400: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    410: [46, 47, 48, 49, 50],
+    420: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    440: [29, 30, 31, 32, 33],
+    450: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30],
+    460: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [344, 345, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355],
+    500: [344, 345]
+  },
+  190: {
+    0: [83, 84],
+    10: [83, 84, 86],
+    20: [83, 84, 86],
+    30: [83, 84, 86],
+    40: [82, 83, 86],
+    50: [82, 83, 86],
+    60: [82, 83, 87],
+    70: [81, 82, 83, 87],
+    80: [81, 82, 87],
+    90: [81, 82, 87],
+    100: [80, 81, 82, 87],
+    110: [80, 81, 82, 87],
+    120: [80, 81, 87],
+    130: [79, 80, 81, 87],
+    140: [79, 80, 81, 87],
+    150: [78, 79, 80, 87],
+    160: [78, 79, 80, 87],
+    170: [77, 78, 79, 80, 87],
+    180: [77, 78, 79, 87],
+    190: [77, 78, 79, 87],
+    200: [76, 77, 78, 87],
+    210: [75, 76, 77, 78, 87],
+    220: [75, 76, 77, 87],
+    230: [74, 75, 76, 77, 87],
+    240: [73, 74, 75, 76, 87],
+    250: [72, 73, 74, 75, 87],
+    260: [72, 73, 74, 75, 87],
+    270: [70, 71, 72, 73, 74, 87],
+    280: [70, 71, 72, 73, 87],
+    290: [68, 69, 70, 71, 72, 73, 87],
+    300: [67, 68, 69, 70, 71, 87],
+    310: [66, 67, 68, 69, 70, 87],
+    320: [64, 65, 66, 67, 68, 69, 87],
+    330: [63, 64, 65, 66, 67, 87],
+    340: [60, 61, 62, 63, 64, 65, 66, 67, 87],
+    350: [60, 61, 62, 63, 64, 87],
+    360: [56, 57, 58, 59, 60, 61, 62, 63, 87],
+    370: [55, 56, 57, 58, 59, 60, 87],
+    380: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
+    390: [48, 49, 50, 51, 52, 53, 54, 55, 87],
+    400: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 87],
+    410: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 87],
+    420: [37, 38, 39, 40, 41, 87],
+    430: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 87],
+    440: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 87],
+    450: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 87],
+    460: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 87],
+    470: [2, 3, 4, 5, 6, 7, 87],
+    480: [87, 354, 355, 356, 357, 358, 359],
+    490: [87, 349, 350, 351, 352, 353]
+  },
+  200: {
+    0: [83],
+    10: [82, 83, 86],
+    20: [82, 83, 86],
+    30: [82, 83, 86],
+    40: [81, 82, 86],
+    50: [81, 82, 86],
+    60: [81, 82, 86],
+    70: [80, 81, 82, 86],
+    80: [80, 81, 86],
+    90: [80, 81, 86],
+    100: [79, 80, 81, 86],
+    110: [79, 80, 86],
+    120: [78, 79, 80, 86],
+    130: [78, 79, 80, 86],
+    140: [78, 79, 86],
+    150: [77, 78, 79, 86],
+    160: [76, 77, 78, 79, 86],
+    170: [76, 77, 78, 86],
+    180: [76, 77, 86],
+    190: [75, 76, 77, 86],
+    200: [74, 75, 76, 77, 86],
+    210: [73, 74, 75, 76],
+    220: [73, 74, 75],
+    230: [72, 73, 74, 75],
+    240: [71, 72, 73, 74],
+    250: [71, 72, 73],
+    260: [69, 70, 71, 72, 73],
+    270: [68, 69, 70, 71, 72],
+    280: [67, 68, 69, 70, 71],
+    290: [66, 67, 68, 69, 70],
+    300: [65, 66, 67, 68],
+    310: [63, 64, 65, 66, 67, 68],
+    320: [62, 63, 64, 65, 66, 87],
+    330: [60, 61, 62, 63, 64, 65, 87],
+    340: [58, 59, 60, 61, 62, 63, 87],
+    350: [55, 56, 57, 58, 59, 60, 61, 62, 87],
+    360: [53, 54, 55, 56, 57, 58, 59, 87],
+    370: [50, 51, 52, 53, 54, 55, 56, 57, 87],
+    380: [49, 50, 51, 52, 53, 87],
+    390: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 87],
+    400: [41, 42, 43, 44, 45, 46, 47, 87],
+    410: [36, 37, 38, 39, 40, 41, 42, 43, 44, 87],
+    420: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 87],
+    430: [26, 27, 28, 29, 30, 31, 32, 33, 34, 87],
+    440: [21, 22, 23, 24, 25, 26, 27, 28, 87],
+    450: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 87],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 87, 358, 359],
+    480: [0, 1, 2, 3, 4, 87, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [87, 349, 350, 351, 352, 353, 354, 355, 356],
+    500: [349]
+  },
+  210: {
+    0: [82],
+    10: [81, 82, 85],
+    20: [81, 82, 85],
+    30: [81, 82, 85],
+    40: [80, 81, 85],
+    50: [80, 81, 85],
+    60: [80, 81, 86],
+    70: [79, 80, 86],
+    80: [79, 80, 86],
+    90: [78, 79, 80, 86],
+    100: [78, 79, 86],
+    110: [78, 79, 86],
+    120: [77, 78, 79, 86],
+    130: [77, 78, 86],
+    140: [76, 77, 78, 86],
+    150: [76, 77, 86],
+    160: [75, 76, 77, 86],
+    170: [75, 76, 86],
+    180: [74, 75, 76, 86],
+    190: [73, 74, 75, 76, 86],
+    200: [72, 73, 74, 75, 86],
+    210: [72, 73, 74, 86],
+    220: [71, 72, 73, 74, 86],
+    230: [70, 71, 72, 73, 86],
+    240: [69, 70, 71, 72, 86],
+    250: [68, 69, 70, 71, 86],
+    260: [67, 68, 69, 70, 71, 86],
+    270: [67, 68, 69, 86],
+    280: [65, 66, 67, 68, 69, 86],
+    290: [64, 65, 66, 67, 86],
+    300: [62, 63, 64, 65, 66, 86],
+    310: [61, 62, 63, 64, 65, 86],
+    320: [59, 60, 61, 62, 63, 86],
+    330: [57, 58, 59, 60, 61, 62, 86],
+    340: [56, 57, 58, 59, 60, 86],
+    350: [52, 53, 54, 55, 56, 57, 58, 86],
+    360: [51, 52, 53, 54, 55, 56, 86],
+    370: [47, 48, 49, 50, 51, 52, 53, 54, 86],
+    380: [44, 45, 46, 47, 48, 49, 50, 51, 86],
+    390: [42, 43, 44, 45, 46, 47, 86],
+    400: [37, 38, 39, 40, 41, 42, 43, 44, 45, 86],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 86],
+    420: [29, 30, 31, 32, 33, 34, 35, 86],
+    430: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 86],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27],
+    450: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21],
+    460: [7, 8, 9, 10, 11, 12, 13, 14, 86],
+    470: [2, 3, 4, 5, 6, 7],
+    480: [0, 355, 356, 357, 358, 359],
+    490: [352, 353, 354, 355]
+  },
+  220: {
+    0: [81, 82],
+    10: [80, 81, 85],
+    20: [80, 81, 85],
+    30: [80, 81, 85],
+    40: [79, 80, 85],
+    50: [79, 80, 85],
+    60: [79, 80, 85],
+    70: [78, 79, 85],
+    80: [78, 79, 85],
+    90: [77, 78, 79, 85],
+    100: [77, 78, 85],
+    110: [76, 77, 78, 85],
+    120: [76, 77, 85],
+    130: [75, 76, 77, 85],
+    140: [75, 76, 77, 85],
+    150: [74, 75, 76, 85],
+    160: [74, 75, 85],
+    170: [73, 74, 75, 85],
+    180: [72, 73, 74, 75],
+    190: [72, 73, 74],
+    200: [71, 72, 73],
+    210: [70, 71, 72, 73],
+    220: [69, 70, 71, 72, 86],
+    230: [68, 69, 70, 71, 86],
+    240: [68, 69, 70, 86],
+    250: [66, 67, 68, 69, 70, 86],
+    260: [65, 66, 67, 68, 86],
+    270: [64, 65, 66, 67, 68, 86],
+    280: [63, 64, 65, 66, 86],
+    290: [62, 63, 64, 65, 86],
+    300: [60, 61, 62, 63, 64, 86],
+    310: [59, 60, 61, 62, 86],
+    320: [56, 57, 58, 59, 60, 61, 86],
+    330: [55, 56, 57, 58, 86],
+    340: [52, 53, 54, 55, 56, 57, 58, 86],
+    350: [51, 52, 53, 54, 86],
+    360: [47, 48, 49, 50, 51, 52, 53, 54, 86],
+    370: [46, 47, 48, 49, 50, 86],
+    380: [41, 42, 43, 44, 45, 46, 47, 48, 86],
+    390: [38, 39, 40, 41, 42, 43, 44, 45, 86],
+    400: [36, 37, 38, 39, 40, 86],
+    410: [30, 31, 32, 33, 34, 35, 36, 37, 38, 86],
+    420: [26, 27, 28, 29, 30, 31, 32, 33, 34, 86],
+    430: [23, 24, 25, 26, 27, 28, 86],
+    440: [17, 18, 19, 20, 21, 22, 23, 86],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 86],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 86, 359],
+    480: [0, 1, 2, 3, 86, 353, 354, 355, 356, 357, 358, 359],
+    490: [86, 352, 353, 354, 355, 356, 357, 358],
+    500: [352]
+  },
+  230: {
+    0: [80, 81],
+    10: [80, 84],
+    20: [79, 80, 84],
+    30: [79, 80, 84],
+    40: [78, 79, 84],
+    50: [78, 79, 84],
+    60: [78, 79, 84, 85],
+    70: [77, 78, 85],
+    80: [77, 78, 85],
+    90: [76, 77, 85],
+    100: [76, 77, 85],
+    110: [75, 76, 77, 85],
+    120: [75, 76, 85],
+    130: [74, 75, 76, 85],
+    140: [73, 74, 75, 85],
+    150: [73, 74, 75, 85],
+    160: [72, 73, 74, 85],
+    170: [71, 72, 73, 74, 85],
+    180: [71, 72, 73, 85],
+    190: [70, 71, 72, 85],
+    200: [69, 70, 71, 72, 85],
+    210: [68, 69, 70, 71, 85],
+    220: [67, 68, 69, 70, 85],
+    230: [67, 68, 69, 85],
+    240: [65, 66, 67, 68, 69, 85],
+    250: [64, 65, 66, 67, 85],
+    260: [64, 65, 66, 85],
+    270: [62, 63, 64, 65, 66, 85],
+    280: [61, 62, 63, 64, 85],
+    290: [59, 60, 61, 62, 63, 85],
+    300: [58, 59, 60, 61, 85],
+    310: [56, 57, 58, 59, 60, 85],
+    320: [54, 55, 56, 57, 58, 85],
+    330: [52, 53, 54, 55, 56, 57, 85],
+    340: [50, 51, 52, 53, 54, 55],
+    350: [48, 49, 50, 51, 52, 53],
+    360: [46, 47, 48, 49, 50],
+    370: [42, 43, 44, 45, 46, 47, 48],
+    380: [40, 41, 42, 43, 44, 45],
+    390: [36, 37, 38, 39, 40, 41, 42],
+    400: [32, 33, 34, 35, 36, 37, 38, 39],
+    410: [30, 31, 32, 33, 34, 35],
+    420: [24, 25, 26, 27, 28, 29, 30, 31],
+    430: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
+    440: [15, 16, 17, 18, 19, 20, 21, 22, 23],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18],
+    460: [6, 7, 8, 9, 10, 11, 12],
+    470: [1, 2, 3, 4, 5, 6, 7],
+    480: [0, 1, 356, 357, 358, 359],
+    490: [354, 355, 356, 357]
+  },
+  240: {
+    0: [79, 80],
+    10: [79, 80, 84],
+    20: [78, 79, 84],
+    30: [78, 79, 84],
+    40: [77, 78, 84],
+    50: [77, 78, 84],
+    60: [77, 78, 84],
+    70: [76, 77, 84],
+    80: [76, 77, 84],
+    90: [75, 76, 84],
+    100: [74, 75, 76, 84],
+    110: [74, 75, 84],
+    120: [73, 74, 75, 84],
+    130: [73, 74, 84],
+    140: [72, 73, 74, 84],
+    150: [72, 73],
+    160: [71, 72, 73],
+    170: [70, 71, 72],
+    180: [69, 70, 71, 85],
+    190: [69, 70, 71, 85],
+    200: [68, 69, 70, 85],
+    210: [67, 68, 69, 85],
+    220: [66, 67, 68, 85],
+    230: [65, 66, 67, 68, 85],
+    240: [64, 65, 66, 67, 85],
+    250: [63, 64, 65, 85],
+    260: [61, 62, 63, 64, 65, 85],
+    270: [60, 61, 62, 63, 85],
+    280: [59, 60, 61, 62, 85],
+    290: [57, 58, 59, 60, 61, 85],
+    300: [56, 57, 58, 59, 85],
+    310: [54, 55, 56, 57, 58, 85],
+    320: [53, 54, 55, 56, 85],
+    330: [50, 51, 52, 53, 54, 55, 85],
+    340: [48, 49, 50, 51, 52, 85],
+    350: [45, 46, 47, 48, 49, 50, 85],
+    360: [43, 44, 45, 46, 47, 48, 85],
+    370: [41, 42, 43, 44, 45, 85],
+    380: [37, 38, 39, 40, 41, 42, 43, 85],
+    390: [34, 35, 36, 37, 38, 39, 40, 85],
+    400: [31, 32, 33, 34, 35, 36, 85],
+    410: [26, 27, 28, 29, 30, 31, 32, 33, 34, 85],
+    420: [23, 24, 25, 26, 27, 28, 29, 30, 85],
+    430: [20, 21, 22, 23, 24, 25, 85],
+    440: [15, 16, 17, 18, 19, 20, 85],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 85],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 85],
+    480: [0, 1, 2, 3, 85, 355, 356, 357, 358, 359],
+    490: [85, 354, 355, 356, 357, 358]
+  },
+  250: {
+    0: [78, 79],
+    10: [78, 79, 83],
+    20: [77, 78, 83],
+    30: [77, 78, 83],
+    40: [77, 78, 83],
+    50: [76, 77, 83],
+    60: [76, 77, 83],
+    70: [75, 76, 84],
+    80: [75, 76, 84],
+    90: [74, 75, 84],
+    100: [74, 75, 84],
+    110: [73, 74, 84],
+    120: [72, 73, 74, 84],
+    130: [72, 73, 84],
+    140: [71, 72, 73, 84],
+    150: [70, 71, 72, 84],
+    160: [69, 70, 71, 84],
+    170: [69, 70, 71, 84],
+    180: [68, 69, 70, 84],
+    190: [67, 68, 69, 84],
+    200: [66, 67, 68, 84],
+    210: [66, 67, 84],
+    220: [64, 65, 66, 67, 84],
+    230: [63, 64, 65, 66, 84],
+    240: [63, 64, 65, 84],
+    250: [61, 62, 63, 64, 84],
+    260: [60, 61, 62, 63, 84],
+    270: [59, 60, 61, 62],
+    280: [57, 58, 59, 60],
+    290: [56, 57, 58, 59],
+    300: [54, 55, 56, 57, 58],
+    310: [53, 54, 55],
+    320: [50, 51, 52, 53, 54],
+    330: [49, 50, 51, 52],
+    340: [46, 47, 48, 49, 50],
+    350: [44, 45, 46, 47, 48],
+    360: [41, 42, 43, 44, 45, 46],
+    370: [38, 39, 40, 41, 42, 43, 44, 85],
+    380: [36, 37, 38, 39, 85],
+    390: [32, 33, 34, 35, 36, 37, 38, 85],
+    400: [29, 30, 31, 32, 33, 34, 35],
+    410: [27, 28, 29, 30, 85],
+    420: [22, 23, 24, 25, 26, 27, 85],
+    430: [17, 18, 19, 20, 21, 22, 23, 24, 85],
+    440: [13, 14, 15, 16, 17, 18, 19, 20, 85],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 85],
+    460: [5, 6, 7, 8, 9, 10, 11, 85],
+    470: [1, 2, 3, 4, 5, 6, 7, 85],
+    480: [0, 1, 2, 85, 357, 358, 359],
+    490: [85, 355, 356, 357, 358]
+  },
+  260: {
+    0: [78],
+    10: [77, 78, 82, 83],
+    20: [77, 78, 83],
+    30: [76, 77, 83],
+    40: [76, 77, 83],
+    50: [75, 76, 83],
+    60: [75, 76, 83],
+    70: [74, 75, 83],
+    80: [73, 74, 75, 83],
+    90: [73, 74, 83],
+    100: [72, 73, 74, 83],
+    110: [72, 73, 83],
+    120: [71, 72, 73, 83],
+    130: [70, 71, 72, 83],
+    140: [70, 71, 83],
+    150: [69, 70, 71],
+    160: [68, 69, 70, 84],
+    170: [68, 69, 84],
+    180: [67, 68, 69, 84],
+    190: [66, 67, 68, 84],
+    200: [65, 66, 67, 84],
+    210: [64, 65, 66, 84],
+    220: [63, 64, 65, 84],
+    230: [62, 63, 64, 84],
+    240: [61, 62, 63, 84],
+    250: [59, 60, 61, 62, 84],
+    260: [58, 59, 60, 61, 84],
+    270: [57, 58, 59, 60, 84],
+    280: [56, 57, 58, 84],
+    290: [54, 55, 56, 57, 84],
+    300: [52, 53, 54, 55, 84],
+    310: [50, 51, 52, 53, 54, 84],
+    320: [49, 50, 51, 52, 84],
+    330: [46, 47, 48, 49, 50, 51, 84],
+    340: [45, 46, 47, 48, 84],
+    350: [41, 42, 43, 44, 45, 46, 84],
+    360: [40, 41, 42, 43, 44, 84],
+    370: [37, 38, 39, 40, 41, 84],
+    380: [33, 34, 35, 36, 37, 38, 39, 84],
+    390: [31, 32, 33, 34, 35, 84],
+    400: [28, 29, 30, 31, 32, 84],
+    410: [24, 25, 26, 27, 28, 29, 30, 84],
+    420: [20, 21, 22, 23, 24, 25, 26, 84],
+    430: [18, 19, 20, 21, 22, 84],
+    440: [14, 15, 16, 17, 84],
+    450: [9, 10, 11, 12, 13, 14, 15, 84],
+    460: [5, 6, 7, 8, 9, 10, 11, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7],
+    480: [0, 1, 2, 3, 356, 357, 358, 359],
+    490: [355, 356, 357, 358, 359],
+    500: [355]
+  },
+  270: {
+    0: [77, 78],
+    10: [76, 77, 82],
+    20: [76, 77, 82],
+    30: [75, 76, 82],
+    40: [75, 76, 82],
+    50: [74, 75, 82],
+    60: [74, 75, 82],
+    70: [73, 74, 83],
+    80: [72, 73, 74, 83],
+    90: [72, 73, 83],
+    100: [71, 72, 73, 83],
+    110: [71, 72, 83],
+    120: [70, 71, 83],
+    130: [69, 70, 71, 83],
+    140: [69, 70, 83],
+    150: [68, 69, 70, 83],
+    160: [67, 68, 69, 83],
+    170: [66, 67, 68, 83],
+    180: [65, 66, 67, 83],
+    190: [65, 66, 83],
+    200: [63, 64, 65, 66, 83],
+    210: [62, 63, 64, 65, 83],
+    220: [62, 63, 83],
+    230: [60, 61, 62, 63, 83],
+    240: [59, 60, 61, 62],
+    250: [58, 59, 60],
+    260: [56, 57, 58, 59],
+    270: [55, 56, 57, 58],
+    280: [54, 55, 56, 57],
+    290: [52, 53, 54, 55],
+    300: [50, 51, 52, 53, 54, 84],
+    310: [49, 50, 51, 52, 84],
+    320: [47, 48, 49, 50, 84],
+    330: [45, 46, 47, 48, 84],
+    340: [42, 43, 44, 45, 46, 47, 84],
+    350: [41, 42, 43, 44, 84],
+    360: [37, 38, 39, 40, 41, 42, 84],
+    370: [35, 36, 37, 38, 39, 40, 84],
+    380: [33, 34, 35, 36, 84],
+    390: [29, 30, 31, 32, 33, 34, 84],
+    400: [26, 27, 28, 29, 30, 31, 84],
+    410: [24, 25, 26, 27, 84],
+    420: [20, 21, 22, 23, 24, 84],
+    430: [16, 17, 18, 19, 20, 21, 22, 84],
+    440: [12, 13, 14, 15, 16, 17, 18, 84],
+    450: [9, 10, 11, 12, 13, 14, 15, 84],
+    460: [5, 6, 7, 8, 9, 10, 11, 84],
+    470: [1, 2, 3, 4, 5, 6, 7, 84],
+    480: [0, 1, 2, 3, 84, 358, 359],
+    490: [84, 356, 357, 358, 359]
+  },
+  280: {
+    0: [76, 77],
+    10: [76],
+    20: [75, 76, 81, 82],
+    30: [74, 75, 82],
+    40: [74, 75, 82],
+    50: [73, 74, 82],
+    60: [73, 74, 82],
+    70: [72, 73, 82],
+    80: [72, 73, 82],
+    90: [71, 72, 82],
+    100: [70, 71, 72, 82],
+    110: [70, 71, 82],
+    120: [69, 70, 82],
+    130: [68, 69, 70, 82],
+    140: [67, 68, 69],
+    150: [67, 68],
+    160: [66, 67, 83],
+    170: [65, 66, 67, 83],
+    180: [64, 65, 66, 83],
+    190: [63, 64, 65, 83],
+    200: [62, 63, 64, 83],
+    210: [61, 62, 63, 83],
+    220: [60, 61, 62, 83],
+    230: [59, 60, 61, 83],
+    240: [58, 59, 60, 83],
+    250: [56, 57, 58, 59, 83],
+    260: [55, 56, 57, 83],
+    270: [54, 55, 56, 57, 83],
+    280: [52, 53, 54, 55, 83],
+    290: [51, 52, 53, 54, 83],
+    300: [49, 50, 51, 52, 83],
+    310: [47, 48, 49, 50, 83],
+    320: [45, 46, 47, 48, 83],
+    330: [43, 44, 45, 46, 47, 83],
+    340: [41, 42, 43, 44, 83],
+    350: [38, 39, 40, 41, 42, 43, 83],
+    360: [37, 38, 39, 40, 83],
+    370: [33, 34, 35, 36, 37, 38, 83],
+    380: [31, 32, 33, 34, 35, 36],
+    390: [29, 30, 31, 32],
+    400: [25, 26, 27, 28, 29, 30],
+    410: [22, 23, 24, 25, 26, 27],
+    420: [19, 20, 21, 22, 23, 24],
+    430: [16, 17, 18, 19, 20],
+    440: [13, 14, 15, 16],
+    450: [9, 10, 11, 12, 13],
+    460: [5, 6, 7, 8, 9, 10],
+    470: [1, 2, 3, 4, 5, 6, 7],
+    480: [0, 1, 2, 3, 357, 358, 359],
+    490: [84, 356, 357, 358, 359],
+    500: [356]
+  },
+  290: {
+    0: [76],
+    10: [75, 76, 81],
+    20: [74, 75, 81],
+    30: [74, 75, 81],
+    40: [73, 74, 81],
+    50: [72, 73, 74, 81],
+    60: [72, 73, 81],
+    70: [71, 72, 82],
+    80: [71, 72, 82],
+    90: [70, 71, 82],
+    100: [69, 70, 71, 82],
+    110: [69, 70, 82],
+    120: [68, 69, 82],
+    130: [67, 68, 69, 82],
+    140: [66, 67, 68, 82],
+    150: [65, 66, 67, 82],
+    160: [65, 66, 82],
+    170: [64, 65, 66, 82],
+    180: [63, 64, 65, 82],
+    190: [62, 63, 64, 82],
+    200: [61, 62, 63, 82],
+    210: [60, 61, 62, 82],
+    220: [59, 60, 61, 82],
+    230: [58, 59, 60],
+    240: [56, 57, 58, 59],
+    250: [55, 56, 57],
+    260: [54, 55, 56],
+    270: [52, 53, 54, 55, 83],
+    280: [51, 52, 53, 83],
+    290: [49, 50, 51, 52, 83],
+    300: [48, 49, 50, 83],
+    310: [45, 46, 47, 48, 49, 83],
+    320: [44, 45, 46, 47, 83],
+    330: [41, 42, 43, 44, 45, 83],
+    340: [39, 40, 41, 42, 43, 83],
+    350: [38, 39, 40, 83],
+    360: [35, 36, 37, 38, 39, 83],
+    370: [33, 34, 35, 36, 83],
+    380: [30, 31, 32, 33, 83],
+    390: [27, 28, 29, 30, 31, 32, 83],
+    400: [24, 25, 26, 27, 28, 29, 83],
+    410: [22, 23, 24, 25, 83],
+    420: [18, 19, 20, 21, 22, 83],
+    430: [15, 16, 17, 18, 19, 20, 83],
+    440: [11, 12, 13, 14, 15, 16, 17, 83],
+    450: [8, 9, 10, 11, 12, 13, 14, 83],
+    460: [5, 6, 7, 8, 9, 10, 83],
+    470: [2, 3, 4, 5, 6, 7, 83],
+    480: [0, 1, 2, 3, 83, 358, 359],
+    490: [0, 357, 358, 359],
+    500: [357]
+  },
+  300: {
+    0: [75],
+    10: [74, 75, 80],
+    20: [74, 80],
+    30: [73, 74, 80, 81],
+    40: [72, 73, 81],
+    50: [72, 73, 81],
+    60: [71, 72, 81],
+    70: [70, 71, 81],
+    80: [70, 71, 81],
+    90: [69, 70, 81],
+    100: [68, 69, 70, 81],
+    110: [68, 69, 81],
+    120: [67, 68, 81],
+    130: [66, 67],
+    140: [65, 66, 67, 82],
+    150: [64, 65, 66, 82],
+    160: [63, 64, 65, 82],
+    170: [63, 64, 82],
+    180: [62, 63, 82],
+    190: [61, 62, 63, 82],
+    200: [60, 61, 62, 82],
+    210: [58, 59, 60, 61, 82],
+    220: [58, 59, 60, 82],
+    230: [56, 57, 58, 59, 82],
+    240: [55, 56, 57, 82],
+    250: [54, 55, 56, 82],
+    260: [52, 53, 54, 55, 82],
+    270: [51, 52, 53, 82],
+    280: [49, 50, 51, 52, 82],
+    290: [48, 49, 50, 82],
+    300: [46, 47, 48, 49, 82],
+    310: [45, 46, 47, 82],
+    320: [42, 43, 44, 45, 46, 82],
+    330: [41, 42, 43, 44, 82],
+    340: [38, 39, 40, 41, 82],
+    350: [36, 37, 38, 39, 40],
+    360: [35, 36, 37],
+    370: [31, 32, 33, 34, 35],
+    380: [29, 30, 31, 32, 33],
+    390: [27, 28, 29, 30],
+    400: [23, 24, 25, 26, 27, 83],
+    410: [20, 21, 22, 23, 24, 25, 83],
+    420: [17, 18, 19, 20, 21, 22, 83],
+    430: [15, 16, 17, 18, 19, 83],
+    440: [12, 13, 14, 15, 83],
+    450: [9, 10, 11, 12, 83],
+    460: [5, 6, 7, 8, 9, 83],
+    470: [2, 3, 4, 5, 6, 83],
+    480: [0, 1, 2, 3, 83, 359],
+    490: [0, 357, 358, 359]
+  },
+  310: {
+    0: [74],
+    10: [73, 74, 80],
+    20: [73, 74, 80],
+    30: [72, 73, 80],
+    40: [72, 80],
+    50: [71, 72, 80],
+    60: [70, 71, 80],
+    70: [69, 70, 71, 80, 81],
+    80: [69, 70, 81],
+    90: [68, 69, 81],
+    100: [67, 68, 69, 81],
+    110: [67, 68, 81],
+    120: [66, 67, 81],
+    130: [65, 66, 67, 81],
+    140: [64, 65, 66, 81],
+    150: [63, 64, 65, 81],
+    160: [62, 63, 64, 81],
+    170: [62, 63, 81],
+    180: [61, 62, 81],
+    190: [59, 60, 61, 81],
+    200: [58, 59, 60, 81],
+    210: [58, 59],
+    220: [56, 57, 58],
+    230: [55, 56, 57],
+    240: [54, 55, 56, 82],
+    250: [52, 53, 54, 55, 82],
+    260: [51, 52, 53, 82],
+    270: [49, 50, 51, 52, 82],
+    280: [48, 49, 50, 82],
+    290: [46, 47, 48, 49, 82],
+    300: [45, 46, 47, 82],
+    310: [43, 44, 45, 46, 82],
+    320: [42, 43, 44, 82],
+    330: [39, 40, 41, 42, 82],
+    340: [37, 38, 39, 40, 82],
+    350: [35, 36, 37, 38, 82],
+    360: [32, 33, 34, 35, 36, 82],
+    370: [31, 32, 33, 34, 82],
+    380: [28, 29, 30, 31, 82],
+    390: [25, 26, 27, 28, 29, 82],
+    400: [22, 23, 24, 25, 26, 27, 82],
+    410: [20, 21, 22, 23, 24, 82],
+    420: [17, 18, 19, 20, 82],
+    430: [14, 15, 16, 17, 18, 82],
+    440: [11, 12, 13, 14, 15, 16, 82],
+    450: [8, 9, 10, 11, 12, 13, 82],
+    460: [5, 6, 7, 8, 9, 10, 82],
+    470: [2, 3, 4, 5, 6, 7, 82],
+    480: [0, 1, 2, 3, 4, 82, 359],
+    490: [0, 1, 358, 359],
+    500: [358]
+  },
+  320: {
+    10: [73, 74, 79],
+    20: [72, 73, 79],
+    30: [71, 72, 79],
+    40: [71, 72, 79, 80],
+    50: [70, 71, 80],
+    60: [69, 70, 80],
+    70: [69, 70, 80],
+    80: [68, 69, 80],
+    90: [67, 68, 80],
+    100: [66, 67, 68, 80],
+    110: [66, 67, 80],
+    120: [65, 66, 80],
+    130: [64, 65],
+    140: [63, 64, 65, 81],
+    150: [62, 63, 64, 81],
+    160: [62, 63, 81],
+    170: [60, 61, 62, 81],
+    180: [59, 60, 61, 81],
+    190: [58, 59, 60, 81],
+    200: [57, 58, 59, 81],
+    210: [56, 57, 58, 81],
+    220: [55, 56, 57, 81],
+    230: [54, 55, 56, 81],
+    240: [52, 53, 54, 55, 81],
+    250: [52, 53, 81],
+    260: [50, 51, 52, 81],
+    270: [49, 50, 51, 81],
+    280: [47, 48, 49, 50, 81],
+    290: [45, 46, 47, 48, 81],
+    300: [43, 44, 45, 46],
+    310: [42, 43, 44],
+    320: [40, 41, 42, 43],
+    330: [38, 39, 40, 41],
+    340: [36, 37, 38, 39],
+    350: [34, 35, 36, 37, 82],
+    360: [32, 33, 34, 35, 82],
+    370: [29, 30, 31, 32, 33, 82],
+    380: [27, 28, 29, 30, 31, 82],
+    390: [25, 26, 27, 28, 82],
+    400: [22, 23, 24, 25, 82],
+    410: [19, 20, 21, 22, 23, 82],
+    420: [16, 17, 18, 19, 20, 21, 82],
+    430: [14, 15, 16, 17, 18, 82],
+    440: [12, 13, 14, 15, 82],
+    450: [9, 10, 11, 12, 82],
+    460: [6, 7, 8, 82],
+    470: [3, 4, 5, 6, 82],
+    480: [0, 1, 2, 3, 82],
+    490: [0, 82, 358, 359]
+  },
+  330: {
+    0: [73],
+    10: [72, 73],
+    20: [71, 72, 78, 79],
+    30: [71, 72, 79],
+    40: [70, 71, 79],
+    50: [69, 70, 79],
+    60: [69, 70, 79],
+    70: [68, 69, 79],
+    80: [67, 68, 79, 80],
+    90: [66, 67, 68, 80],
+    100: [66, 67, 80],
+    110: [65, 66, 80],
+    120: [64, 65, 80],
+    130: [63, 64, 65, 80],
+    140: [62, 63, 64, 80],
+    150: [61, 62, 63, 80],
+    160: [60, 61, 62, 80],
+    170: [59, 60, 61, 80],
+    180: [59, 60, 80],
+    190: [57, 58, 59],
+    200: [56, 57, 58],
+    210: [55, 56, 57, 81],
+    220: [54, 55, 56, 81],
+    230: [53, 54, 55, 81],
+    240: [52, 53, 54, 81],
+    250: [50, 51, 52, 81],
+    260: [49, 50, 51, 81],
+    270: [47, 48, 49, 50, 81],
+    280: [46, 47, 48, 81],
+    290: [44, 45, 46, 47, 81],
+    300: [43, 44, 45, 81],
+    310: [41, 42, 43, 44, 81],
+    320: [39, 40, 41, 42, 81],
+    330: [37, 38, 39, 40, 81],
+    340: [35, 36, 37, 38, 81],
+    350: [33, 34, 35, 81],
+    360: [31, 32, 33, 34, 81],
+    370: [29, 30, 31, 32, 81],
+    380: [27, 28, 29, 81],
+    390: [24, 25, 26, 27, 81],
+    400: [21, 22, 23, 24, 25],
+    410: [19, 20, 21, 22, 23, 81],
+    420: [17, 18, 19, 81],
+    430: [14, 15, 16, 17],
+    440: [11, 12, 13, 14, 15],
+    450: [8, 9, 10, 11, 12],
+    460: [5, 6, 7, 8, 9, 10],
+    470: [2, 3, 4, 5, 6, 7],
+    480: [0, 1, 2, 3, 4],
+    490: [0, 1, 359],
+    500: [359]
+  },
+  340: {
+    10: [72, 78],
+    20: [71, 72, 78],
+    30: [70, 71, 78],
+    40: [69, 70, 78],
+    50: [69, 70, 79],
+    60: [68, 69, 79],
+    70: [67, 68, 79],
+    80: [66, 67, 79],
+    90: [66, 67, 79],
+    100: [65, 66, 79],
+    110: [64, 65, 79],
+    120: [63, 64, 79],
+    130: [62, 63, 80],
+    140: [61, 62, 63, 80],
+    150: [60, 61, 62, 80],
+    160: [60, 61, 80],
+    170: [59, 60, 80],
+    180: [57, 58, 59, 80],
+    190: [56, 57, 58, 80],
+    200: [55, 56, 57, 80],
+    210: [54, 55, 56, 80],
+    220: [53, 54, 55, 80],
+    230: [52, 53, 54, 80],
+    240: [50, 51, 52, 80],
+    250: [49, 50, 51, 80],
+    260: [48, 49, 50, 80],
+    270: [46, 47, 48, 80],
+    280: [45, 46, 47],
+    290: [43, 44, 45],
+    300: [41, 42, 43, 44],
+    310: [40, 41, 42, 81],
+    320: [38, 39, 40, 41, 81],
+    330: [36, 37, 38, 39, 81],
+    340: [34, 35, 36, 37, 81],
+    350: [32, 33, 34, 35, 81],
+    360: [31, 32, 33, 81],
+    370: [28, 29, 30, 31, 81],
+    380: [25, 26, 27, 28, 29, 81],
+    390: [23, 24, 25, 26, 27, 81],
+    400: [21, 22, 23, 24, 81],
+    410: [18, 19, 20, 21, 22, 81],
+    420: [16, 17, 18, 19, 20, 81],
+    430: [13, 14, 15, 16, 17, 81],
+    440: [11, 12, 13, 14, 15, 81],
+    450: [9, 10, 11, 12, 81],
+    460: [6, 7, 8, 9, 81],
+    470: [4, 5, 6, 81],
+    480: [1, 2, 3, 81],
+    490: [0, 81, 359]
+  },
+  350: {
+    10: [71],
+    20: [70, 71, 77, 78],
+    30: [69, 70, 77, 78],
+    40: [69, 70, 78],
+    50: [68, 69, 78],
+    60: [67, 68, 78],
+    70: [66, 67, 78],
+    80: [66, 67, 78],
+    90: [65, 66, 79],
+    100: [64, 65, 79],
+    110: [63, 64, 79],
+    120: [62, 63, 64, 79],
+    130: [61, 62, 63, 79],
+    140: [61, 62, 79],
+    150: [60, 61, 79],
+    160: [58, 59, 60, 79],
+    170: [57, 58, 59, 79],
+    180: [57, 58, 79],
+    190: [55, 56, 57],
+    200: [54, 55, 56, 80],
+    210: [53, 54, 55, 80],
+    220: [52, 53, 54, 80],
+    230: [51, 52, 53, 80],
+    240: [50, 51, 80],
+    250: [48, 49, 50, 80],
+    260: [47, 48, 49, 80],
+    270: [45, 46, 47, 48, 80],
+    280: [44, 45, 46, 80],
+    290: [42, 43, 44, 45, 80],
+    300: [41, 42, 43, 80],
+    310: [39, 40, 41, 80],
+    320: [37, 38, 39, 40, 80],
+    330: [35, 36, 37, 38, 80],
+    340: [33, 34, 35, 36, 80],
+    350: [31, 32, 33, 34, 80],
+    360: [29, 30, 31, 32, 80],
+    370: [27, 28, 29, 30, 80],
+    380: [26, 27, 28],
+    390: [23, 24, 25, 26],
+    400: [20, 21, 22, 23, 24],
+    410: [18, 19, 20, 21, 22],
+    420: [16, 17, 18, 19],
+    430: [14, 15, 16, 81],
+    440: [11, 12, 13, 14],
+    450: [8, 9, 10, 11, 12, 81],
+    460: [5, 6, 7, 8, 9, 81],
+    470: [3, 4, 5, 6, 7, 81],
+    480: [0, 1, 2, 3, 4, 81],
+    490: [0, 1, 2, 81]
+  },
+  360: {
+    10: [70, 71],
+    20: [70, 71, 77],
+    30: [69, 70, 77],
+    40: [68, 69, 77],
+    50: [67, 68, 77, 78],
+    60: [66, 67, 78],
+    70: [66, 67, 78],
+    80: [65, 66, 78],
+    90: [64, 65, 78],
+    100: [63, 64, 78],
+    110: [62, 63, 78],
+    120: [61, 62, 63, 78],
+    130: [60, 61, 62, 79],
+    140: [60, 61, 79],
+    150: [59, 60, 79],
+    160: [58, 59, 79],
+    170: [57, 58, 79],
+    180: [56, 57, 79],
+    190: [54, 55, 56, 79],
+    200: [53, 54, 55, 79],
+    210: [52, 53, 54, 79],
+    220: [51, 52, 53, 79],
+    230: [50, 51, 52, 79],
+    240: [48, 49, 50, 79],
+    250: [47, 48, 49, 79],
+    260: [46, 47, 48, 79],
+    270: [44, 45, 46],
+    280: [43, 44, 45],
+    290: [41, 42, 43, 80],
+    300: [39, 40, 41, 42, 80],
+    310: [38, 39, 40, 80],
+    320: [36, 37, 38, 39, 80],
+    330: [35, 36, 37, 80],
+    340: [32, 33, 34, 35, 80],
+    350: [30, 31, 32, 33, 80],
+    360: [29, 30, 31, 80],
+    370: [26, 27, 28, 29, 80],
+    380: [24, 25, 26, 27, 80],
+    390: [22, 23, 24, 25, 80],
+    400: [21, 22, 23, 80],
+    410: [18, 19, 20, 80],
+    420: [15, 16, 17, 18, 19, 80],
+    430: [13, 14, 15, 16, 80],
+    440: [11, 12, 13, 14, 80],
+    450: [8, 9, 10, 11, 12, 80],
+    460: [6, 7, 8, 9, 80],
+    470: [4, 5, 6, 7, 80],
+    480: [2, 3, 4, 80],
+    490: [1, 2, 80]
+  },
+  370: {
+    10: [70],
+    20: [69, 70, 76],
+    30: [68, 69, 76, 77],
+    40: [67, 68, 76, 77],
+    50: [67, 68, 77],
+    60: [66, 67, 77],
+    70: [65, 66, 77],
+    80: [64, 65, 77],
+    90: [63, 64, 77, 78],
+    100: [62, 63, 64, 78],
+    110: [61, 62, 63, 78],
+    120: [61, 62, 78],
+    130: [60, 61, 78],
+    140: [59, 60, 78],
+    150: [58, 59, 78],
+    160: [57, 58, 78],
+    170: [56, 57, 78],
+    180: [55, 56],
+    190: [54, 55],
+    200: [52, 53, 54, 79],
+    210: [51, 52, 53, 79],
+    220: [50, 51, 52, 79],
+    230: [49, 50, 51, 79],
+    240: [48, 49, 79],
+    250: [46, 47, 48, 79],
+    260: [45, 46, 47, 79],
+    270: [43, 44, 45, 46, 79],
+    280: [42, 43, 44, 79],
+    290: [40, 41, 42, 43, 79],
+    300: [39, 40, 41, 79],
+    310: [37, 38, 39, 40, 79],
+    320: [36, 37, 38, 79],
+    330: [33, 34, 35, 36, 79],
+    340: [32, 33, 34, 79],
+    350: [30, 31, 32],
+    360: [28, 29, 30, 31],
+    370: [26, 27, 28, 29],
+    380: [24, 25, 26, 27],
+    390: [22, 23, 24],
+    400: [19, 20, 21, 22, 23, 80],
+    410: [17, 18, 19, 20, 21, 80],
+    420: [15, 16, 17, 18, 80],
+    430: [14, 15, 16, 80],
+    440: [11, 12, 13, 80],
+    450: [8, 9, 10, 11, 80],
+    460: [6, 7, 8, 9, 80],
+    470: [4, 5, 6, 7, 80],
+    480: [1, 2, 3, 4, 5, 80],
+    490: [1, 2, 80],
+    500: [80]
+  },
+  380: {
+    10: [69, 70],
+    20: [68, 69, 76],
+    30: [68, 69, 76],
+    40: [67, 68, 76],
+    50: [66, 67, 76],
+    60: [65, 66, 76, 77],
+    70: [64, 65, 77],
+    80: [63, 64, 77],
+    90: [63, 64, 77],
+    100: [62, 63, 77],
+    110: [61, 62, 77],
+    120: [60, 61, 77],
+    130: [59, 60, 77],
+    140: [58, 59, 78],
+    150: [57, 58, 78],
+    160: [56, 57, 78],
+    170: [55, 56, 78],
+    180: [54, 55, 78],
+    190: [53, 54, 78],
+    200: [52, 53, 78],
+    210: [50, 51, 52, 78],
+    220: [49, 50, 51, 78],
+    230: [48, 49, 50, 78],
+    240: [47, 48, 49, 78],
+    250: [45, 46, 47],
+    260: [44, 45, 46],
+    270: [43, 44, 79],
+    280: [41, 42, 43, 79],
+    290: [40, 41, 42, 79],
+    300: [38, 39, 40, 79],
+    310: [37, 38, 39, 79],
+    320: [34, 35, 36, 37, 79],
+    330: [33, 34, 35, 79],
+    340: [31, 32, 33, 79],
+    350: [29, 30, 31, 32, 79],
+    360: [27, 28, 29, 30, 79],
+    370: [26, 27, 28, 79],
+    380: [23, 24, 25, 26, 79],
+    390: [21, 22, 23, 24, 79],
+    400: [20, 21, 22, 79],
+    410: [18, 19, 20, 79],
+    420: [15, 16, 17, 18, 79],
+    430: [13, 14, 15, 16, 79],
+    440: [10, 11, 12, 13, 14, 79],
+    450: [8, 9, 10, 11, 12],
+    460: [6, 7, 8, 9],
+    470: [4, 5, 6, 7],
+    480: [2, 3, 4, 5],
+    490: [1, 2, 3]
+  },
+  390: {
+    10: [69],
+    20: [68, 69, 75],
+    30: [67, 68, 75],
+    40: [66, 67, 75, 76],
+    50: [65, 66, 76],
+    60: [64, 65, 76],
+    70: [64, 65, 76],
+    80: [63, 64, 76],
+    90: [62, 63, 76, 77],
+    100: [61, 62, 77],
+    110: [60, 61, 77],
+    120: [59, 60, 77],
+    130: [58, 59, 60, 77],
+    140: [57, 58, 59, 77],
+    150: [56, 57, 58, 77],
+    160: [55, 56, 57, 77],
+    170: [54, 55, 56, 77],
+    180: [53, 54, 55, 77],
+    190: [52, 53, 54, 78],
+    200: [51, 52, 78],
+    210: [50, 51, 78],
+    220: [49, 50, 78],
+    230: [47, 48, 49, 78],
+    240: [46, 47, 48, 78],
+    250: [45, 46, 78],
+    260: [43, 44, 45, 78],
+    270: [42, 43, 44, 78],
+    280: [40, 41, 42, 78],
+    290: [39, 40, 41, 78],
+    300: [38, 39, 78],
+    310: [36, 37, 38, 78],
+    320: [34, 35, 36, 78],
+    330: [32, 33, 34],
+    340: [30, 31, 32, 33],
+    350: [29, 30, 31, 79],
+    360: [27, 28, 29, 79],
+    370: [25, 26, 27, 28, 79],
+    380: [23, 24, 25, 26, 79],
+    390: [22, 23, 24, 79],
+    400: [19, 20, 21, 79],
+    410: [17, 18, 19, 20, 79],
+    420: [15, 16, 17, 18, 79],
+    430: [13, 14, 15, 16, 79],
+    440: [11, 12, 13, 14, 79],
+    450: [9, 10, 11, 79],
+    460: [7, 8, 9, 79],
+    470: [4, 5, 6, 7, 79],
+    480: [2, 3, 4, 5, 79],
+    490: [1, 2, 3, 79]
+  },
+  400: {
+    20: [68, 74],
+    30: [67, 68, 74, 75],
+    40: [66, 67, 75],
+    50: [65, 66, 75],
+    60: [64, 65, 75],
+    70: [63, 64, 75, 76],
+    80: [62, 63, 76],
+    90: [61, 62, 76],
+    100: [60, 61, 76],
+    110: [59, 60, 61, 76],
+    120: [58, 59, 60, 76],
+    130: [57, 58, 59, 76],
+    140: [56, 57, 58, 77],
+    150: [55, 56, 57, 77],
+    160: [55, 56, 77],
+    170: [54, 55, 77],
+    180: [52, 53, 54, 77],
+    190: [51, 52, 53, 77],
+    200: [50, 51, 52, 77],
+    210: [49, 50, 51, 77],
+    220: [48, 49, 77],
+    230: [47, 48, 77],
+    240: [45, 46, 47],
+    250: [44, 45, 46, 78],
+    260: [42, 43, 44, 78],
+    270: [41, 42, 43, 78],
+    280: [40, 41, 42, 78],
+    290: [38, 39, 40, 78],
+    300: [36, 37, 38, 39, 78],
+    310: [35, 36, 37, 78],
+    320: [33, 34, 35, 78],
+    330: [32, 33, 34, 78],
+    340: [30, 31, 32, 78],
+    350: [28, 29, 30, 78],
+    360: [26, 27, 28, 29, 78],
+    370: [25, 26, 27, 78],
+    380: [23, 24, 25, 78],
+    390: [21, 22, 23, 78],
+    400: [19, 20, 21, 22],
+    410: [17, 18, 19, 20, 78],
+    420: [15, 16, 17],
+    430: [13, 14, 15],
+    440: [11, 12, 13],
+    450: [8, 9, 10, 11],
+    460: [6, 7, 8, 9, 10],
+    470: [4, 5, 6, 7, 79],
+    480: [2, 3, 4, 5, 79],
+    490: [2, 3]
+  },
+  410: {
+    20: [67, 68, 74],
+    30: [66, 67, 73, 74],
+    40: [65, 66, 74],
+    50: [64, 65, 74, 75],
+    60: [63, 64, 75],
+    70: [62, 63, 75],
+    80: [62, 63, 75],
+    90: [61, 62, 75],
+    100: [60, 61, 75, 76],
+    110: [59, 60, 76],
+    120: [58, 59, 76],
+    130: [57, 58, 76],
+    140: [56, 57, 76],
+    150: [55, 56, 76],
+    160: [54, 55, 76],
+    170: [53, 54, 76],
+    180: [52, 53],
+    190: [51, 52, 77],
+    200: [49, 50, 51, 77],
+    210: [48, 49, 50, 77],
+    220: [47, 48, 49, 77],
+    230: [46, 47, 77],
+    240: [45, 46, 77],
+    250: [43, 44, 45, 77],
+    260: [42, 43, 44, 77],
+    270: [40, 41, 42, 77],
+    280: [39, 40, 41, 77],
+    290: [37, 38, 39, 77],
+    300: [36, 37, 38, 77],
+    310: [34, 35, 36],
+    320: [33, 34, 35],
+    330: [31, 32, 33, 78],
+    340: [29, 30, 31, 32, 78],
+    350: [28, 29, 30, 78],
+    360: [26, 27, 28, 78],
+    370: [24, 25, 26, 78],
+    380: [22, 23, 24, 25, 78],
+    390: [21, 22, 23, 78],
+    400: [19, 20, 21, 78],
+    410: [17, 18, 19, 78],
+    420: [15, 16, 17, 78],
+    430: [13, 14, 15, 16, 78],
+    440: [11, 12, 13, 14, 78],
+    450: [9, 10, 11, 12, 78],
+    460: [8, 9, 78],
+    470: [5, 6, 7, 78],
+    480: [3, 4, 5, 78],
+    490: [2, 3, 78]
+  },
+  420: {
+    20: [67, 73],
+    30: [66, 67, 73],
+    40: [65, 66, 73, 74],
+    50: [64, 65, 74],
+    60: [63, 64, 74],
+    70: [62, 63, 74],
+    80: [61, 62, 74, 75],
+    90: [60, 61, 75],
+    100: [59, 60, 75],
+    110: [58, 59, 75],
+    120: [57, 58, 75],
+    130: [56, 57, 75],
+    140: [55, 56, 57, 76],
+    150: [54, 55, 56, 76],
+    160: [53, 54, 55, 76],
+    170: [52, 53, 76],
+    180: [51, 52, 76],
+    190: [50, 51, 76],
+    200: [49, 50, 76],
+    210: [48, 49, 76],
+    220: [46, 47, 48, 76],
+    230: [45, 46, 47],
+    240: [44, 45],
+    250: [43, 44, 77],
+    260: [41, 42, 43, 77],
+    270: [40, 41, 42, 77],
+    280: [38, 39, 40, 77],
+    290: [37, 38, 39, 77],
+    300: [35, 36, 37, 77],
+    310: [34, 35, 36, 77],
+    320: [32, 33, 34, 77],
+    330: [31, 32, 33, 77],
+    340: [29, 30, 31, 77],
+    350: [27, 28, 29, 77],
+    360: [26, 27, 28, 77],
+    370: [24, 25, 26, 77],
+    380: [23, 24],
+    390: [20, 21, 22],
+    400: [18, 19, 20, 21],
+    410: [17, 18, 19],
+    420: [15, 16, 17, 78],
+    430: [13, 14, 15, 78],
+    440: [11, 12, 13, 78],
+    450: [9, 10, 11, 78],
+    460: [7, 8, 9, 78],
+    470: [5, 6, 7, 8, 78],
+    480: [3, 4, 5, 6, 78],
+    490: [3, 4, 78]
+  },
+  430: {
+    20: [66, 67, 72],
+    30: [65, 66, 72, 73],
+    40: [64, 65, 72, 73],
+    50: [63, 64, 73],
+    60: [62, 63, 73, 74],
+    70: [61, 62, 74],
+    80: [60, 61, 62, 74],
+    90: [59, 60, 61, 74],
+    100: [59, 60, 74],
+    110: [58, 59, 74, 75],
+    120: [57, 58, 75],
+    130: [56, 57, 75],
+    140: [55, 56, 75],
+    150: [54, 55, 75],
+    160: [53, 54, 75],
+    170: [52, 53, 75],
+    180: [51, 52, 75, 76],
+    190: [49, 50, 51, 76],
+    200: [48, 49, 50, 76],
+    210: [47, 48, 49, 76],
+    220: [46, 47, 76],
+    230: [45, 46, 76],
+    240: [43, 44, 45, 76],
+    250: [42, 43, 76],
+    260: [41, 42, 76],
+    270: [39, 40, 41, 76],
+    280: [38, 39, 40, 76],
+    290: [36, 37, 38, 76],
+    300: [35, 36, 37],
+    310: [33, 34, 35, 77],
+    320: [32, 33, 34, 77],
+    330: [31, 32, 77],
+    340: [29, 30, 77],
+    350: [27, 28, 29, 77],
+    360: [26, 27, 28, 77],
+    370: [24, 25, 77],
+    380: [22, 23, 24, 77],
+    390: [20, 21, 22, 23, 77],
+    400: [19, 20, 21, 77],
+    410: [17, 18, 19, 77],
+    420: [15, 16, 17, 77],
+    430: [13, 14, 15, 77],
+    440: [11, 12, 13, 77],
+    450: [9, 10, 11, 12, 77],
+    460: [7, 8, 9, 10, 77],
+    470: [6, 7, 8],
+    480: [4, 5, 6],
+    490: [3, 4]
+  },
+  440: {
+    20: [66],
+    30: [65, 66, 71, 72],
+    40: [64, 65, 72],
+    50: [63, 64, 72, 73],
+    60: [62, 63, 73],
+    70: [61, 62, 73],
+    80: [60, 61, 73, 74],
+    90: [59, 60, 73, 74],
+    100: [58, 59, 74],
+    110: [57, 58, 74],
+    120: [56, 57, 74],
+    130: [55, 56, 74],
+    140: [54, 55, 74, 75],
+    150: [53, 54, 75],
+    160: [52, 53, 75],
+    170: [51, 52, 75],
+    180: [50, 51, 75],
+    190: [49, 50, 75],
+    200: [48, 49, 75],
+    210: [46, 47, 48, 75],
+    220: [45, 46, 47, 75],
+    230: [44, 45, 75],
+    240: [43, 44, 76],
+    250: [41, 42, 43, 76],
+    260: [40, 41, 42, 76],
+    270: [39, 40, 41, 76],
+    280: [37, 38, 39, 76],
+    290: [36, 37, 38, 76],
+    300: [34, 35, 36, 76],
+    310: [33, 34, 35, 76],
+    320: [32, 33, 76],
+    330: [30, 31, 32, 76],
+    340: [28, 29, 30, 76],
+    350: [27, 28, 29, 76],
+    360: [25, 26, 27, 76],
+    370: [23, 24, 25, 26],
+    380: [22, 23, 24],
+    390: [20, 21, 22],
+    400: [18, 19, 20, 77],
+    410: [16, 17, 18, 19, 77],
+    420: [15, 16, 17, 77],
+    430: [13, 14, 15, 77],
+    440: [12, 13, 77],
+    450: [9, 10, 11, 77],
+    460: [7, 8, 9, 77],
+    470: [6, 7, 8, 77],
+    480: [4, 5, 6, 77],
+    490: [3, 4, 77],
+    500: [77]
+  },
+  450: {
+    20: [66],
+    30: [65, 66, 70, 71],
+    40: [64, 65, 71, 72],
+    50: [62, 63, 64, 71, 72],
+    60: [62, 63, 72],
+    70: [60, 61, 62, 72, 73],
+    80: [60, 61, 73],
+    90: [59, 60, 73],
+    100: [58, 59, 73],
+    110: [57, 58, 73],
+    120: [56, 57, 74],
+    130: [55, 56, 74],
+    140: [53, 54, 55, 74],
+    150: [52, 53, 54, 74],
+    160: [51, 52, 53, 74],
+    170: [50, 51, 52, 74],
+    180: [49, 50, 74],
+    190: [48, 49, 50, 75],
+    200: [47, 48, 75],
+    210: [46, 47, 75],
+    220: [45, 46, 75],
+    230: [44, 45, 75],
+    240: [42, 43, 44, 75],
+    250: [41, 42, 43, 75],
+    260: [40, 41, 75],
+    270: [38, 39, 40, 75],
+    280: [37, 38, 39, 75],
+    290: [36, 37],
+    300: [34, 35, 36],
+    310: [33, 34, 76],
+    320: [31, 32, 33, 76],
+    330: [30, 31, 32, 76],
+    340: [28, 29, 30, 76],
+    350: [26, 27, 28, 76],
+    360: [25, 26, 27, 76],
+    370: [24, 25, 76],
+    380: [21, 22, 23, 76],
+    390: [20, 21, 22, 76],
+    400: [18, 19, 20, 76],
+    410: [17, 18, 19, 76],
+    420: [15, 16, 17, 76],
+    430: [13, 14, 15, 76],
+    440: [11, 12, 13],
+    450: [9, 10, 11, 12],
+    460: [8, 9, 10],
+    470: [6, 7, 8],
+    480: [4, 5, 6, 7],
+    490: [4, 5, 77]
+  },
+  460: {
+    30: [65, 70],
+    40: [63, 64, 65, 70, 71],
+    50: [62, 63, 64, 71],
+    60: [61, 62, 71, 72],
+    70: [60, 61, 72],
+    80: [59, 60, 72],
+    90: [58, 59, 72, 73],
+    100: [57, 58, 73],
+    110: [56, 57, 73],
+    120: [55, 56, 73],
+    130: [54, 55, 73],
+    140: [53, 54, 73],
+    150: [52, 53, 73, 74],
+    160: [51, 52, 74],
+    170: [50, 51, 74],
+    180: [49, 50, 74],
+    190: [48, 49, 74],
+    200: [46, 47, 48, 74],
+    210: [45, 46, 47, 74],
+    220: [44, 45, 46, 74],
+    230: [43, 44],
+    240: [42, 43, 75],
+    250: [40, 41, 42, 75],
+    260: [39, 40, 41, 75],
+    270: [38, 39, 75],
+    280: [37, 38, 75],
+    290: [35, 36, 37, 75],
+    300: [34, 35, 75],
+    310: [32, 33, 34, 75],
+    320: [31, 32, 33, 75],
+    330: [29, 30, 31, 75],
+    340: [28, 29, 75],
+    350: [26, 27, 28, 75],
+    360: [25, 26, 27],
+    370: [23, 24, 25],
+    380: [21, 22, 23, 76],
+    390: [20, 21, 22, 76],
+    400: [18, 19, 20, 76],
+    410: [16, 17, 18, 76],
+    420: [15, 16, 17, 76],
+    430: [13, 14, 15, 76],
+    440: [11, 12, 13, 14, 76],
+    450: [10, 11, 12, 76],
+    460: [8, 9, 10, 76],
+    470: [6, 7, 8, 76],
+    480: [5, 6, 76],
+    490: [4, 76]
+  },
+  470: {
+    30: [64, 65, 69, 70],
+    40: [63, 64, 65, 69, 70],
+    50: [62, 63, 70, 71],
+    60: [61, 62, 70, 71],
+    70: [60, 61, 71],
+    80: [59, 60, 71, 72],
+    90: [58, 59, 72],
+    100: [57, 58, 72],
+    110: [56, 57, 72],
+    120: [55, 56, 72, 73],
+    130: [54, 55, 73],
+    140: [53, 54, 73],
+    150: [52, 53, 73],
+    160: [50, 51, 52, 73],
+    170: [49, 50, 51, 73],
+    180: [48, 49, 50, 73],
+    190: [47, 48, 49, 74],
+    200: [46, 47, 74],
+    210: [45, 46, 74],
+    220: [44, 45, 74],
+    230: [42, 43, 44, 74],
+    240: [41, 42, 43, 74],
+    250: [40, 41, 42, 74],
+    260: [39, 40, 74],
+    270: [38, 39, 74],
+    280: [36, 37],
+    290: [35, 36, 75],
+    300: [33, 34, 35, 75],
+    310: [32, 33, 34, 75],
+    320: [30, 31, 32, 75],
+    330: [29, 30, 31, 75],
+    340: [28, 29, 75],
+    350: [26, 27, 28, 75],
+    360: [24, 25, 26, 75],
+    370: [23, 24, 25, 75],
+    380: [22, 23, 75],
+    390: [20, 21, 75],
+    400: [18, 19, 20, 75],
+    410: [16, 17, 18, 75],
+    420: [15, 16, 17],
+    430: [14, 15],
+    440: [11, 12, 13],
+    450: [10, 11],
+    460: [8, 9, 10, 76],
+    470: [6, 7, 8, 76],
+    480: [5, 6, 7, 76],
+    490: [4, 5, 76],
+    500: [4]
+  },
+  480: {
+    30: [64, 65, 68, 69],
+    40: [63, 64, 65, 68, 69],
+    50: [62, 63, 69, 70],
+    60: [60, 61, 62, 70],
+    70: [59, 60, 61, 70, 71],
+    80: [58, 59, 71],
+    90: [57, 58, 71],
+    100: [56, 57, 71, 72],
+    110: [55, 56, 72],
+    120: [54, 55, 72],
+    130: [53, 54, 72],
+    140: [52, 53, 72],
+    150: [51, 52, 72, 73],
+    160: [50, 51, 73],
+    170: [49, 50, 73],
+    180: [48, 49, 73],
+    190: [47, 48, 73],
+    200: [46, 47, 73],
+    210: [44, 45, 46, 73],
+    220: [43, 44, 45, 73],
+    230: [42, 43, 44, 74],
+    240: [41, 42, 74],
+    250: [40, 41, 74],
+    260: [38, 39, 40, 74],
+    270: [37, 38, 74],
+    280: [36, 37, 74],
+    290: [34, 35, 36, 74],
+    300: [33, 34, 35, 74],
+    310: [32, 33, 74],
+    320: [30, 31, 32, 74],
+    330: [29, 30, 31, 74],
+    340: [27, 28, 29],
+    350: [26, 27],
+    360: [24, 25, 26, 75],
+    370: [23, 24, 25, 75],
+    380: [21, 22, 23, 75],
+    390: [20, 21, 22, 75],
+    400: [18, 19, 20, 75],
+    410: [17, 18, 75],
+    420: [15, 16, 75],
+    430: [13, 14, 15, 75],
+    440: [11, 12, 13, 14, 75],
+    450: [10, 11, 12, 75],
+    460: [8, 9, 10, 75],
+    470: [7, 8, 9, 75],
+    480: [6, 7, 75],
+    490: [4, 5, 75]
+  },
+  490: {
+    30: [64, 65, 67, 68],
+    40: [63, 64, 65, 66, 67, 68, 69],
+    50: [61, 62, 63, 68, 69],
+    60: [60, 61, 62, 69, 70],
+    70: [59, 60, 69, 70],
+    80: [58, 59, 70],
+    90: [57, 58, 70, 71],
+    100: [56, 57, 71],
+    110: [55, 56, 71],
+    120: [54, 55, 71],
+    130: [53, 54, 71, 72],
+    140: [52, 53, 72],
+    150: [51, 52, 72],
+    160: [50, 51, 72],
+    170: [48, 49, 50, 72],
+    180: [47, 48, 49, 72],
+    190: [46, 47, 72, 73],
+    200: [45, 46, 73],
+    210: [44, 45, 73],
+    220: [43, 44, 73],
+    230: [42, 43, 73],
+    240: [41, 42, 73],
+    250: [39, 40, 73],
+    260: [38, 39, 73],
+    270: [37, 38, 73],
+    280: [35, 36, 37],
+    290: [34, 35, 74],
+    300: [33, 34, 74],
+    310: [31, 32, 33, 74],
+    320: [30, 31, 32, 74],
+    330: [28, 29, 30, 74],
+    340: [27, 28, 29, 74],
+    350: [26, 27, 74],
+    360: [24, 25, 26, 74],
+    370: [22, 23, 24, 74],
+    380: [21, 22, 23, 74],
+    390: [20, 21, 74],
+    400: [18, 19, 20],
+    410: [16, 17, 18],
+    420: [15, 16, 17],
+    430: [13, 14, 15],
+    440: [12, 13, 14, 75],
+    450: [10, 11, 12, 75],
+    460: [9, 10, 75],
+    470: [7, 8, 75],
+    480: [5, 6, 7, 75],
+    490: [5, 6, 75]
+  },
+  500: {
+    30: [65, 66],
+    40: [63, 64, 65, 66, 67, 68],
+    50: [61, 62, 63, 64, 65, 66, 67, 68],
+    60: [60, 61, 62, 68, 69],
+    70: [59, 60, 69],
+    80: [58, 59, 69, 70],
+    90: [57, 58, 70],
+    100: [56, 57, 70],
+    110: [55, 56, 70, 71],
+    120: [54, 55, 71],
+    130: [52, 53, 54, 71],
+    140: [51, 52, 53, 71],
+    150: [50, 51, 52, 71],
+    160: [49, 50, 71, 72],
+    170: [48, 49, 72],
+    180: [47, 48, 72],
+    190: [46, 47, 72],
+    200: [45, 46, 72],
+    210: [44, 45, 72],
+    220: [42, 43, 44, 72],
+    230: [41, 42, 43, 72, 73],
+    240: [40, 41, 73],
+    250: [39, 40, 73],
+    260: [38, 39, 73],
+    270: [37, 38, 73],
+    280: [35, 36, 73],
+    290: [34, 35, 73],
+    300: [32, 33, 34, 73],
+    310: [31, 32, 33, 73],
+    320: [30, 31, 73],
+    330: [28, 29, 30, 73],
+    340: [27, 28, 29, 74],
+    350: [25, 26, 27, 74],
+    360: [24, 25, 26, 74],
+    370: [23, 24, 74],
+    380: [21, 22, 23, 74],
+    390: [19, 20, 21, 74],
+    400: [18, 19, 20, 74],
+    410: [17, 18, 74],
+    420: [15, 16, 17, 74],
+    430: [14, 15, 74],
+    440: [12, 13, 74],
+    450: [10, 11, 12, 74],
+    460: [9, 10, 11, 74],
+    470: [7, 8, 9, 74],
+    480: [6, 7, 8],
+    490: [5, 6],
+    500: [5]
+  },
+  510: {
+    40: [63, 64, 65, 66, 67],
+    50: [61, 62, 63, 64, 65, 66, 67],
+    60: [60, 61, 62, 67, 68],
+    70: [59, 60, 68, 69],
+    80: [57, 58, 59, 68, 69],
+    90: [56, 57, 58, 69],
+    100: [55, 56, 69, 70],
+    110: [54, 55, 70],
+    120: [53, 54, 70],
+    130: [52, 53, 70],
+    140: [51, 52, 70, 71],
+    150: [50, 51, 71],
+    160: [49, 50, 71],
+    170: [48, 49, 71],
+    180: [47, 48, 71],
+    190: [46, 47, 71],
+    200: [44, 45, 46, 72],
+    210: [43, 44, 72],
+    220: [42, 43, 72],
+    230: [41, 42, 72],
+    240: [40, 41, 72],
+    250: [38, 39, 40, 72],
+    260: [37, 38, 39, 72],
+    270: [36, 37, 72],
+    280: [35, 36, 73],
+    290: [33, 34, 35, 73],
+    300: [32, 33, 34, 73],
+    310: [31, 32, 73],
+    320: [29, 30, 31, 73],
+    330: [28, 29, 30, 73],
+    340: [27, 28, 73],
+    350: [25, 26, 27, 73],
+    360: [24, 25, 26, 73],
+    370: [22, 23, 24, 73],
+    380: [21, 22, 73],
+    390: [20, 21, 73],
+    400: [18, 19, 20],
+    410: [17, 18],
+    420: [15, 16, 74],
+    430: [13, 14, 15, 74],
+    440: [12, 13, 14, 74],
+    450: [11, 12, 74],
+    460: [9, 10, 11, 74],
+    470: [8, 9, 74],
+    480: [6, 7, 8, 74],
+    490: [5, 6, 74]
+  },
+  520: {
+    40: [64, 65],
+    50: [61, 62, 63, 64, 65, 66],
+    60: [60, 61, 62, 63, 65, 66, 67],
+    70: [59, 60, 67, 68],
+    80: [57, 58, 59, 67, 68],
+    90: [56, 57, 68, 69],
+    100: [55, 56, 69],
+    110: [54, 55, 69],
+    120: [53, 54, 69, 70],
+    130: [52, 53, 70],
+    140: [51, 52, 70],
+    150: [50, 51, 70],
+    160: [49, 50, 70],
+    170: [48, 49, 70, 71],
+    180: [46, 47, 48, 71],
+    190: [45, 46, 71],
+    200: [44, 45, 71],
+    210: [43, 44, 71],
+    220: [42, 43, 71],
+    230: [41, 42, 71],
+    240: [40, 41, 72],
+    250: [38, 39, 72],
+    260: [37, 38, 72],
+    270: [36, 37, 72],
+    280: [35, 36, 72],
+    290: [33, 34, 35, 72],
+    300: [32, 33, 72],
+    310: [31, 32, 72],
+    320: [29, 30, 31, 72],
+    330: [28, 29],
+    340: [27, 28, 73],
+    350: [25, 26, 27, 73],
+    360: [24, 25, 73],
+    370: [22, 23, 24, 73],
+    380: [21, 22, 23, 73],
+    390: [20, 21, 73],
+    400: [18, 19, 73],
+    410: [17, 18, 73],
+    420: [15, 16, 17, 73],
+    430: [14, 15, 16, 73],
+    440: [13, 14, 73],
+    450: [11, 12, 73],
+    460: [9, 10, 11],
+    470: [8, 9],
+    480: [6, 7, 8],
+    490: [6, 7]
+  },
+  530: {
+    50: [62, 63, 64, 65],
+    60: [60, 61, 62, 63, 64, 65, 66],
+    70: [58, 59, 60, 61, 65, 66, 67],
+    80: [57, 58, 59, 67, 68],
+    90: [56, 57, 67, 68],
+    100: [55, 56, 68],
+    110: [54, 55, 68, 69],
+    120: [53, 54, 69],
+    130: [52, 53, 69],
+    140: [50, 51, 52, 69],
+    150: [49, 50, 69, 70],
+    160: [48, 49, 70],
+    170: [47, 48, 70],
+    180: [46, 47, 70],
+    190: [45, 46, 70],
+    200: [44, 45, 70, 71],
+    210: [43, 44, 71],
+    220: [42, 43, 71],
+    230: [40, 41, 42, 71],
+    240: [39, 40, 41, 71],
+    250: [38, 39, 71],
+    260: [37, 38, 71],
+    270: [36, 37, 71],
+    280: [34, 35, 36, 72],
+    290: [33, 34, 72],
+    300: [32, 33, 72],
+    310: [31, 32, 72],
+    320: [29, 30, 31, 72],
+    330: [28, 29, 72],
+    340: [27, 28, 72],
+    350: [25, 26, 27, 72],
+    360: [24, 25, 72],
+    370: [23, 24, 72],
+    380: [21, 22, 23, 72],
+    390: [19, 20, 21],
+    400: [18, 19, 20, 73],
+    410: [17, 18, 73],
+    420: [16, 17, 73],
+    430: [14, 15, 73],
+    440: [12, 13, 14, 73],
+    450: [11, 12, 13, 73],
+    460: [10, 11, 73],
+    470: [8, 9, 10, 73],
+    480: [7, 8, 73],
+    490: [6, 7, 73],
+    500: [6]
+  },
+  540: {
+    50: [62, 63, 64],
+    60: [60, 61, 62, 63, 64, 65],
+    70: [58, 59, 60, 61, 62, 63, 64, 65, 66],
+    80: [57, 58, 59, 65, 66, 67],
+    90: [56, 57, 66, 67],
+    100: [55, 56, 67, 68],
+    110: [54, 55, 67, 68],
+    120: [52, 53, 54, 68],
+    130: [51, 52, 53, 68, 69],
+    140: [50, 51, 69],
+    150: [49, 50, 69],
+    160: [48, 49, 69],
+    170: [47, 48, 69],
+    180: [46, 47, 69, 70],
+    190: [45, 46, 70],
+    200: [44, 45, 70],
+    210: [42, 43, 44, 70],
+    220: [41, 42, 43, 70],
+    230: [40, 41, 70],
+    240: [39, 40, 71],
+    250: [38, 39, 71],
+    260: [37, 38, 71],
+    270: [35, 36, 37, 71],
+    280: [34, 35, 71],
+    290: [33, 34, 71],
+    300: [32, 33, 71],
+    310: [30, 31, 32, 71],
+    320: [29, 30, 71],
+    330: [28, 29, 72],
+    340: [26, 27, 28, 72],
+    350: [25, 26, 72],
+    360: [24, 25, 72],
+    370: [22, 23, 24, 72],
+    380: [21, 22, 72],
+    390: [20, 21, 72],
+    400: [19, 20, 72],
+    410: [17, 18, 72],
+    420: [15, 16, 17, 72],
+    430: [14, 15, 16, 72],
+    440: [13, 14],
+    450: [11, 12, 13],
+    460: [10, 11, 12],
+    470: [9, 10],
+    480: [7, 8, 73],
+    490: [6, 7, 73]
+  },
+  550: {
+    60: [60, 61, 62, 63, 64],
+    70: [58, 59, 60, 61, 62, 63, 64, 65],
+    80: [57, 58, 59, 64, 65, 66],
+    90: [56, 57, 65, 66, 67],
+    100: [55, 56, 66, 67],
+    110: [53, 54, 55, 67],
+    120: [52, 53, 67, 68],
+    130: [51, 52, 68],
+    140: [50, 51, 68],
+    150: [49, 50, 68],
+    160: [48, 49, 68, 69],
+    170: [47, 48, 69],
+    180: [46, 47, 69],
+    190: [44, 45, 46, 69],
+    200: [43, 44, 69],
+    210: [42, 43, 69, 70],
+    220: [41, 42, 70],
+    230: [40, 41, 70],
+    240: [39, 40, 70],
+    250: [38, 39, 70],
+    260: [37, 38, 70],
+    270: [35, 36, 70],
+    280: [34, 35, 71],
+    290: [33, 34, 71],
+    300: [32, 33, 71],
+    310: [30, 31, 32, 71],
+    320: [29, 30, 71],
+    330: [28, 29, 71],
+    340: [26, 27, 28, 71],
+    350: [25, 26, 27, 71],
+    360: [24, 25, 71],
+    370: [22, 23, 24, 71],
+    380: [21, 22, 23],
+    390: [20, 21, 72],
+    400: [18, 19, 20, 72],
+    410: [17, 18, 72],
+    420: [16, 17, 72],
+    430: [14, 15, 16, 72],
+    440: [13, 14, 72],
+    450: [11, 12, 13, 72],
+    460: [10, 11, 72],
+    470: [9, 10, 72],
+    480: [7, 8, 9, 72],
+    490: [7, 8, 72]
+  },
+  560: {
+    60: [61, 62, 63],
+    70: [59, 60, 61, 62, 63, 64],
+    80: [57, 58, 59, 60, 61, 62, 63, 64, 65],
+    90: [56, 57, 58, 64, 65, 66],
+    100: [54, 55, 56, 65, 66],
+    110: [53, 54, 55, 66, 67],
+    120: [52, 53, 66, 67],
+    130: [51, 52, 67],
+    140: [50, 51, 67, 68],
+    150: [49, 50, 68],
+    160: [48, 49, 68],
+    170: [47, 48, 68],
+    180: [45, 46, 47, 68, 69],
+    190: [44, 45, 69],
+    200: [43, 44, 69],
+    210: [42, 43, 69],
+    220: [41, 42, 69],
+    230: [40, 41, 69],
+    240: [39, 40, 69, 70],
+    250: [37, 38, 39, 70],
+    260: [36, 37, 38, 70],
+    270: [35, 36, 70],
+    280: [34, 35, 70],
+    290: [33, 34, 70],
+    300: [31, 32, 33, 70],
+    310: [30, 31, 70],
+    320: [29, 30, 70],
+    330: [28, 29, 71],
+    340: [26, 27, 28, 71],
+    350: [25, 26, 71],
+    360: [24, 25, 71],
+    370: [23, 24, 71],
+    380: [21, 22, 23, 71],
+    390: [20, 21, 71],
+    400: [18, 19, 20, 71],
+    410: [17, 18, 19, 71],
+    420: [16, 17, 71],
+    430: [14, 15, 16, 71],
+    440: [13, 14],
+    450: [12, 13],
+    460: [10, 11, 12, 72],
+    470: [9, 10, 11, 72],
+    480: [8, 9, 72],
+    490: [7, 8, 72],
+    500: [7]
+  },
+  570: {
+    70: [59, 60, 61, 62, 63],
+    80: [57, 58, 59, 60, 61, 62, 63, 64],
+    90: [56, 57, 58, 63, 64, 65],
+    100: [54, 55, 56, 64, 65],
+    110: [53, 54, 55, 65, 66],
+    120: [52, 53, 66],
+    130: [51, 52, 66, 67],
+    140: [50, 51, 66, 67],
+    150: [49, 50, 67],
+    160: [48, 49, 67],
+    170: [46, 47, 48, 67, 68],
+    180: [45, 46, 68],
+    190: [44, 45, 68],
+    200: [43, 44, 68],
+    210: [42, 43, 68],
+    220: [41, 42, 68, 69],
+    230: [40, 41, 69],
+    240: [38, 39, 40, 69],
+    250: [37, 38, 69],
+    260: [36, 37, 69],
+    270: [35, 36, 69],
+    280: [34, 35, 69, 70],
+    290: [33, 34, 70],
+    300: [31, 32, 33, 70],
+    310: [30, 31, 70],
+    320: [29, 30, 70],
+    330: [28, 29, 70],
+    340: [26, 27, 28, 70],
+    350: [25, 26, 70],
+    360: [24, 25, 70],
+    370: [22, 23, 24],
+    380: [21, 22],
+    390: [20, 21, 71],
+    400: [19, 20, 71],
+    410: [17, 18, 19, 71],
+    420: [16, 17, 71],
+    430: [14, 15, 16, 71],
+    440: [13, 14, 15, 71],
+    450: [12, 13, 71],
+    460: [11, 12, 71],
+    470: [9, 10, 11, 71],
+    480: [8, 9, 71],
+    490: [7, 8, 71],
+    500: [7]
+  },
+  580: {
+    70: [60, 61],
+    80: [58, 59, 60, 61, 62, 63],
+    90: [56, 57, 58, 59, 60, 61, 62, 63, 64],
+    100: [54, 55, 56, 57, 63, 64, 65],
+    110: [53, 54, 55, 64, 65],
+    120: [52, 53, 65, 66],
+    130: [51, 52, 65, 66],
+    140: [50, 51, 66],
+    150: [49, 50, 66, 67],
+    160: [47, 48, 49, 66, 67],
+    170: [46, 47, 67],
+    180: [45, 46, 67],
+    190: [44, 45, 67, 68],
+    200: [43, 44, 67, 68],
+    210: [42, 43, 68],
+    220: [41, 42, 68],
+    230: [40, 41, 68],
+    240: [38, 39, 40, 68],
+    250: [37, 38, 68, 69],
+    260: [36, 37, 69],
+    270: [35, 36, 69],
+    280: [34, 35, 69],
+    290: [32, 33, 34, 69],
+    300: [31, 32, 69],
+    310: [30, 31, 69],
+    320: [29, 30, 69],
+    330: [28, 29],
+    340: [26, 27, 28, 70],
+    350: [25, 26, 70],
+    360: [24, 25, 70],
+    370: [22, 23, 24, 70],
+    380: [21, 22, 23, 70],
+    390: [20, 21, 70],
+    400: [19, 20, 70],
+    410: [17, 18, 19, 70],
+    420: [16, 17, 70],
+    430: [15, 16],
+    440: [14, 15, 71],
+    450: [12, 13, 14, 71],
+    460: [11, 12, 71],
+    470: [9, 10, 11, 71],
+    480: [8, 9, 10, 71],
+    490: [8, 71],
+    500: [71]
+  },
+  590: {
+    80: [58, 59, 60, 61, 62],
+    90: [56, 57, 58, 59, 60, 61, 62, 63],
+    100: [55, 56, 57, 61, 62, 63, 64],
+    110: [53, 54, 55, 63, 64],
+    120: [52, 53, 54, 64, 65],
+    130: [51, 52, 64, 65],
+    140: [50, 51, 65, 66],
+    150: [48, 49, 50, 65, 66],
+    160: [47, 48, 66],
+    170: [46, 47, 66],
+    180: [45, 46, 66, 67],
+    190: [44, 45, 67],
+    200: [43, 44, 67],
+    210: [42, 43, 67],
+    220: [40, 41, 42, 67],
+    230: [39, 40, 68],
+    240: [38, 39, 68],
+    250: [37, 38, 68],
+    260: [36, 37, 68],
+    270: [35, 36, 68],
+    280: [34, 35, 68],
+    290: [32, 33, 34, 69],
+    300: [31, 32, 69],
+    310: [30, 31, 69],
+    320: [29, 30, 69],
+    330: [27, 28, 29, 69],
+    340: [26, 27, 69],
+    350: [25, 26, 69],
+    360: [24, 25, 69],
+    370: [23, 24, 69],
+    380: [22, 23, 70],
+    390: [20, 21, 70],
+    400: [19, 20, 70],
+    410: [18, 19, 70],
+    420: [17, 18, 70],
+    430: [15, 16, 70],
+    440: [14, 15, 70],
+    450: [12, 13, 14, 70],
+    460: [11, 12, 13, 70],
+    470: [10, 11, 70],
+    480: [9, 10],
+    490: [8, 9],
+    500: [8]
+  },
+  600: {
+    90: [57, 58, 59, 60, 61, 62],
+    100: [55, 56, 57, 58, 59, 60, 61, 62, 63],
+    110: [53, 54, 55, 56, 62, 63],
+    120: [52, 53, 54, 63, 64],
+    130: [51, 52, 64],
+    140: [50, 51, 64, 65],
+    150: [48, 49, 50, 65],
+    160: [47, 48, 65, 66],
+    170: [46, 47, 65, 66],
+    180: [45, 46, 66],
+    190: [44, 45, 66],
+    200: [43, 44, 66],
+    210: [42, 43, 66, 67],
+    220: [40, 41, 42, 67],
+    230: [39, 40, 67],
+    240: [38, 39, 67],
+    250: [37, 38, 67],
+    260: [36, 37, 68],
+    270: [35, 36, 68],
+    280: [33, 34, 35, 68],
+    290: [32, 33, 68],
+    300: [31, 32, 68],
+    310: [30, 31, 68],
+    320: [29, 30, 68],
+    330: [28, 29, 69],
+    340: [27, 28, 69],
+    350: [25, 26, 69],
+    360: [24, 25, 69],
+    370: [23, 24, 69],
+    380: [21, 22, 23, 69],
+    390: [20, 21, 69],
+    400: [19, 20, 69],
+    410: [18, 19, 69],
+    420: [16, 17, 18, 69],
+    430: [15, 16, 70],
+    440: [14, 15, 70],
+    450: [13, 14, 70],
+    460: [12, 13, 70],
+    470: [10, 11, 12, 70],
+    480: [9, 10, 70],
+    490: [8, 9, 70],
+    500: [8]
+  },
+  610: {
+    90: [57, 58, 59, 60],
+    100: [55, 56, 57, 58, 59, 60, 61, 62],
+    110: [54, 55, 56, 57, 59, 60, 61, 62, 63],
+    120: [52, 53, 54, 62, 63],
+    130: [51, 52, 63, 64],
+    140: [50, 51, 63, 64],
+    150: [48, 49, 50, 64],
+    160: [47, 48, 49, 64, 65],
+    170: [46, 47, 65],
+    180: [45, 46, 65],
+    190: [44, 45, 65, 66],
+    200: [43, 44, 66],
+    210: [42, 43, 66],
+    220: [40, 41, 42, 66],
+    230: [39, 40, 66, 67],
+    240: [38, 39, 67],
+    250: [37, 38, 67],
+    260: [36, 37, 67],
+    270: [35, 36, 67],
+    280: [33, 34, 35, 67],
+    290: [32, 33, 67],
+    300: [31, 32, 68],
+    310: [30, 31, 68],
+    320: [29, 30, 68],
+    330: [28, 29, 68],
+    340: [26, 27, 28, 68],
+    350: [25, 26, 68],
+    360: [24, 25, 68],
+    370: [23, 24, 68],
+    380: [21, 22, 23, 69],
+    390: [20, 21, 22, 69],
+    400: [19, 20, 69],
+    410: [18, 19, 69],
+    420: [17, 18, 69],
+    430: [15, 16, 17, 69],
+    440: [14, 15, 16, 69],
+    450: [13, 14, 69],
+    460: [12, 13, 69],
+    470: [10, 11, 12, 69],
+    480: [9, 10],
+    490: [9]
+  },
+  620: {
+    100: [56, 57, 58, 59, 60],
+    110: [54, 55, 56, 57, 58, 59, 60, 61],
+    120: [52, 53, 54, 55, 60, 61, 62],
+    130: [51, 52, 53, 61, 62, 63],
+    140: [50, 51, 62, 63],
+    150: [48, 49, 50, 63, 64],
+    160: [47, 48, 49, 63, 64],
+    170: [46, 47, 64],
+    180: [45, 46, 64, 65],
+    190: [44, 45, 65],
+    200: [43, 44, 65],
+    210: [42, 43, 65, 66],
+    220: [40, 41, 65, 66],
+    230: [39, 40, 66],
+    240: [38, 39, 66],
+    250: [37, 38, 66],
+    260: [36, 37, 66, 67],
+    270: [35, 36, 67],
+    280: [33, 34, 35, 67],
+    290: [32, 33, 67],
+    300: [31, 32, 67],
+    310: [30, 31, 67],
+    320: [29, 30, 67],
+    330: [28, 29, 67, 68],
+    340: [26, 27, 28, 68],
+    350: [25, 26, 68],
+    360: [24, 25, 68],
+    370: [23, 24, 68],
+    380: [22, 23, 68],
+    390: [21, 22, 68],
+    400: [19, 20, 21, 68],
+    410: [18, 19, 68],
+    420: [17, 18],
+    430: [16, 17, 69],
+    440: [14, 15, 16, 69],
+    450: [13, 14, 69],
+    460: [12, 13, 69],
+    470: [11, 12, 69],
+    480: [10, 11, 69],
+    490: [9, 10, 69],
+    500: [9]
+  },
+  630: {
+    100: [57, 58],
+    110: [54, 55, 56, 57, 58, 59, 60],
+    120: [53, 54, 55, 56, 57, 58, 59, 60, 61],
+    130: [51, 52, 53, 60, 61, 62],
+    140: [50, 51, 52, 61, 62, 63],
+    150: [48, 49, 50, 62, 63],
+    160: [47, 48, 49, 63],
+    170: [46, 47, 63, 64],
+    180: [45, 46, 64],
+    190: [44, 45, 64],
+    200: [43, 44, 64, 65],
+    210: [42, 43, 65],
+    220: [40, 41, 65],
+    230: [39, 40, 65],
+    240: [38, 39, 65, 66],
+    250: [37, 38, 66],
+    260: [36, 37, 66],
+    270: [35, 36, 66],
+    280: [34, 35, 66],
+    290: [32, 33, 34, 66],
+    300: [31, 32, 66, 67],
+    310: [30, 31, 67],
+    320: [29, 30, 67],
+    330: [28, 29, 67],
+    340: [27, 28, 67],
+    350: [26, 27, 67],
+    360: [24, 25, 67],
+    370: [23, 24],
+    380: [22, 23, 68],
+    390: [21, 22, 68],
+    400: [19, 20, 21, 68],
+    410: [18, 19, 20, 68],
+    420: [17, 18, 68],
+    430: [16, 17, 68],
+    440: [15, 16, 68],
+    450: [14, 15, 68],
+    460: [12, 13, 14, 68],
+    470: [11, 12],
+    480: [10, 11, 69],
+    490: [9, 10]
+  },
+  640: {
+    110: [55, 56, 57, 58, 59],
+    120: [53, 54, 55, 56, 57, 58, 59, 60],
+    130: [51, 52, 53, 54, 55, 58, 59, 60, 61],
+    140: [50, 51, 52, 60, 61, 62],
+    150: [49, 50, 61, 62],
+    160: [47, 48, 49, 62, 63],
+    170: [46, 47, 48, 62, 63],
+    180: [45, 46, 63],
+    190: [44, 45, 63, 64],
+    200: [43, 44, 64],
+    210: [42, 43, 64],
+    220: [40, 41, 64, 65],
+    230: [39, 40, 64, 65],
+    240: [38, 39, 65],
+    250: [37, 38, 65],
+    260: [36, 37, 65],
+    270: [35, 36, 65, 66],
+    280: [34, 35, 66],
+    290: [32, 33, 34, 66],
+    300: [31, 32, 66],
+    310: [30, 31, 66],
+    320: [29, 30, 66],
+    330: [28, 29, 66],
+    340: [27, 28, 67],
+    350: [25, 26, 27, 67],
+    360: [24, 25, 67],
+    370: [23, 24, 67],
+    380: [22, 23, 67],
+    390: [21, 22, 67],
+    400: [20, 21, 67],
+    410: [19, 20, 67],
+    420: [17, 18, 19],
+    430: [16, 17, 68],
+    440: [15, 16, 68],
+    450: [14, 15, 68],
+    460: [13, 14, 68],
+    470: [11, 12, 13, 68],
+    480: [10, 11, 68],
+    490: [10, 68]
+  },
+  650: {
+    120: [54, 55, 56, 57, 58, 59],
+    130: [52, 53, 54, 55, 56, 57, 58, 59, 60],
+    140: [50, 51, 52, 53, 58, 59, 60, 61],
+    150: [49, 50, 51, 60, 61],
+    160: [47, 48, 49, 61, 62],
+    170: [46, 47, 48, 61, 62],
+    180: [45, 46, 62, 63],
+    190: [44, 45, 62, 63],
+    200: [43, 44, 63],
+    210: [42, 43, 63, 64],
+    220: [40, 41, 42, 63, 64],
+    230: [39, 40, 64],
+    240: [38, 39, 64],
+    250: [37, 38, 64, 65],
+    260: [36, 37, 65],
+    270: [35, 36, 65],
+    280: [34, 35, 65],
+    290: [32, 33, 34, 65],
+    300: [31, 32, 65],
+    310: [30, 31, 66],
+    320: [29, 30, 66],
+    330: [28, 29, 66],
+    340: [27, 28, 66],
+    350: [26, 27, 66],
+    360: [25, 26, 66],
+    370: [23, 24, 25, 66],
+    380: [22, 23, 67],
+    390: [21, 22, 67],
+    400: [20, 21, 67],
+    410: [19, 20, 67],
+    420: [18, 19, 67],
+    430: [17, 18, 67],
+    440: [15, 16, 17, 67],
+    450: [14, 15, 67],
+    460: [13, 14, 67],
+    470: [12, 13],
+    480: [11, 12, 68],
+    490: [10, 11, 68],
+    500: [10]
+  },
+  660: {
+    120: [55, 56, 57],
+    130: [52, 53, 54, 55, 56, 57, 58, 59],
+    140: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    150: [49, 50, 51, 52, 58, 59, 60],
+    160: [48, 49, 50, 60, 61],
+    170: [46, 47, 48, 60, 61],
+    180: [45, 46, 47, 61, 62],
+    190: [44, 45, 62],
+    200: [43, 44, 62, 63],
+    210: [42, 43, 62, 63],
+    220: [41, 42, 63],
+    230: [39, 40, 63, 64],
+    240: [38, 39, 63, 64],
+    250: [37, 38, 64],
+    260: [36, 37, 64],
+    270: [35, 36, 64],
+    280: [34, 35, 64, 65],
+    290: [33, 34, 65],
+    300: [31, 32, 33, 65],
+    310: [30, 31, 65],
+    320: [29, 30, 65],
+    330: [28, 29, 65],
+    340: [27, 28, 65],
+    350: [26, 27, 66],
+    360: [25, 26, 66],
+    370: [23, 24, 25, 66],
+    380: [22, 23, 66],
+    390: [21, 22, 66],
+    400: [20, 21, 66],
+    410: [19, 20, 66],
+    420: [18, 19, 66, 67],
+    430: [17, 18, 67],
+    440: [15, 16, 17, 67],
+    450: [14, 15, 67],
+    460: [13, 14, 67],
+    470: [12, 13, 67],
+    480: [11, 12, 67],
+    490: [10, 11, 67]
+  },
+  670: {
+    130: [53, 54, 55, 56, 57],
+    140: [51, 52, 53, 54, 55, 56, 57, 58],
+    150: [49, 50, 51, 52, 53, 56, 57, 58, 59],
+    160: [48, 49, 50, 58, 59, 60],
+    170: [47, 48, 49, 59, 60, 61],
+    180: [45, 46, 47, 60, 61],
+    190: [44, 45, 46, 61, 62],
+    200: [43, 44, 61, 62],
+    210: [42, 43, 62],
+    220: [41, 42, 62, 63],
+    230: [39, 40, 41, 62, 63],
+    240: [38, 39, 40, 63],
+    250: [37, 38, 63],
+    260: [36, 37, 63, 64],
+    270: [35, 36, 64],
+    280: [34, 35, 64],
+    290: [33, 34, 64],
+    300: [31, 32, 33, 64],
+    310: [31, 32, 64, 65],
+    320: [29, 30, 65],
+    330: [28, 29, 65],
+    340: [27, 28, 65],
+    350: [26, 27, 65],
+    360: [25, 26, 65],
+    370: [24, 25, 65],
+    380: [23, 24, 65, 66],
+    390: [21, 22, 23, 66],
+    400: [20, 21, 66],
+    410: [19, 20, 66],
+    420: [18, 19, 66],
+    430: [17, 18, 66],
+    440: [16, 17, 66],
+    450: [15, 16, 66],
+    460: [14, 15, 66],
+    470: [12, 13, 14, 67],
+    480: [11, 12, 13, 67],
+    490: [11, 67]
+  },
+  680: {
+    140: [52, 53, 54, 55, 56, 57],
+    150: [50, 51, 52, 53, 54, 55, 56, 57, 58],
+    160: [48, 49, 50, 51, 52, 57, 58, 59],
+    170: [47, 48, 49, 58, 59, 60],
+    180: [46, 47, 59, 60],
+    190: [44, 45, 46, 60, 61],
+    200: [43, 44, 45, 60, 61],
+    210: [42, 43, 61],
+    220: [41, 42, 61, 62],
+    230: [40, 41, 62],
+    240: [38, 39, 40, 62],
+    250: [37, 38, 39, 62, 63],
+    260: [36, 37, 63],
+    270: [35, 36, 63],
+    280: [34, 35, 63],
+    290: [33, 34, 63, 64],
+    300: [32, 33, 64],
+    310: [31, 32, 64],
+    320: [29, 30, 31, 64],
+    330: [28, 29, 64],
+    340: [27, 28, 64],
+    350: [26, 27, 64, 65],
+    360: [25, 26, 65],
+    370: [24, 25, 65],
+    380: [23, 24, 65],
+    390: [22, 23, 65],
+    400: [21, 65],
+    410: [20, 21, 65],
+    420: [18, 19, 20, 65],
+    430: [17, 18, 66],
+    440: [16, 17, 66],
+    450: [15, 16, 66],
+    460: [14, 15, 66],
+    470: [13, 14, 66],
+    480: [12, 13, 66],
+    490: [11, 12, 66],
+    500: [11]
+  },
+  690: {
+    140: [54],
+    150: [51, 52, 53, 54, 55, 56, 57],
+    160: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    170: [47, 48, 49, 50, 57, 58, 59],
+    180: [46, 47, 48, 58, 59],
+    190: [45, 46, 59, 60],
+    200: [43, 44, 45, 59, 60],
+    210: [42, 43, 44, 60, 61],
+    220: [41, 42, 61],
+    230: [40, 41, 61],
+    240: [39, 40, 61, 62],
+    250: [37, 38, 39, 62],
+    260: [36, 37, 38, 62],
+    270: [35, 36, 62, 63],
+    280: [34, 35, 62, 63],
+    290: [33, 34, 63],
+    300: [32, 33, 63],
+    310: [31, 32, 63],
+    320: [30, 31, 63, 64],
+    330: [28, 29, 30, 64],
+    340: [27, 28, 29, 64],
+    350: [26, 27, 64],
+    360: [25, 26, 64],
+    370: [24, 25, 64],
+    380: [23, 24, 64],
+    390: [22, 23, 65],
+    400: [21, 22, 65],
+    410: [20, 21, 65],
+    420: [19, 20, 65],
+    430: [18, 65],
+    440: [17, 18, 65],
+    450: [15, 16, 65],
+    460: [14, 15, 65],
+    470: [13, 14, 65, 66],
+    480: [12, 13, 66],
+    490: [12, 66]
+  },
+  700: {
+    150: [52, 53, 54, 55],
+    160: [50, 51, 52, 53, 54, 55, 56, 57],
+    170: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    180: [46, 47, 48, 49, 56, 57, 58],
+    190: [45, 46, 47, 58, 59],
+    200: [44, 45, 58, 59, 60],
+    210: [42, 43, 44, 59, 60],
+    220: [41, 42, 43, 60],
+    230: [40, 41, 60, 61],
+    240: [39, 40, 60, 61],
+    250: [38, 39, 61],
+    260: [37, 38, 61, 62],
+    270: [35, 36, 61, 62],
+    280: [34, 35, 62],
+    290: [33, 34, 62],
+    300: [32, 33, 62, 63],
+    310: [31, 32, 63],
+    320: [30, 31, 63],
+    330: [29, 30, 63],
+    340: [28, 29, 63],
+    350: [26, 27, 28, 63],
+    360: [25, 26, 27, 63, 64],
+    370: [24, 25, 64],
+    380: [23, 24, 64],
+    390: [22, 23, 64],
+    400: [21, 22, 64],
+    410: [20, 21, 64],
+    420: [19, 20, 64],
+    430: [18, 19, 64, 65],
+    440: [17, 18, 65],
+    450: [16, 17, 65],
+    460: [15, 65],
+    470: [14, 15, 65],
+    480: [13, 14, 65],
+    490: [12, 13]
+  },
+  710: {
+    160: [51, 52, 53, 54, 55],
+    170: [49, 50, 51, 52, 53, 54, 55, 56, 57],
+    180: [47, 48, 49, 50, 51, 54, 55, 56, 57],
+    190: [45, 46, 47, 48, 56, 57, 58],
+    200: [44, 45, 46, 57, 58, 59],
+    210: [43, 44, 58, 59],
+    220: [42, 43, 59, 60],
+    230: [40, 41, 42, 59, 60],
+    240: [39, 40, 60],
+    250: [38, 39, 60, 61],
+    260: [37, 38, 60, 61],
+    270: [36, 37, 61],
+    280: [34, 35, 36, 61],
+    290: [33, 34, 35, 61, 62],
+    300: [32, 33, 62],
+    310: [31, 32, 62],
+    320: [30, 31, 62],
+    330: [29, 30, 62, 63],
+    340: [28, 29, 63],
+    350: [27, 28, 63],
+    360: [26, 27, 63],
+    370: [25, 26, 63],
+    380: [23, 24, 25, 63],
+    390: [23, 63, 64],
+    400: [21, 22, 64],
+    410: [20, 21, 64],
+    420: [19, 20, 64],
+    430: [18, 19, 64],
+    440: [17, 18, 64],
+    450: [16, 17, 64],
+    460: [15, 16, 64],
+    470: [14, 15, 64],
+    480: [13, 14, 65],
+    490: [12, 13],
+    500: [12]
+  },
+  720: {
+    170: [50, 51, 52, 53, 54, 55],
+    180: [48, 49, 50, 51, 52, 53, 54, 55, 56],
+    190: [46, 47, 48, 49, 54, 55, 56, 57],
+    200: [44, 45, 46, 47, 56, 57, 58],
+    210: [43, 44, 45, 57, 58],
+    220: [42, 43, 58, 59],
+    230: [41, 42, 58, 59],
+    240: [39, 40, 41, 59, 60],
+    250: [38, 39, 40, 59, 60],
+    260: [37, 38, 60],
+    270: [36, 37, 60, 61],
+    280: [35, 36, 60, 61],
+    290: [34, 35, 61],
+    300: [32, 33, 34, 61],
+    310: [31, 32, 33, 61, 62],
+    320: [30, 31, 62],
+    330: [29, 30, 62],
+    340: [28, 29, 62],
+    350: [27, 28, 62],
+    360: [26, 27, 62],
+    370: [25, 26, 62, 63],
+    380: [24, 25, 63],
+    390: [23, 24, 63],
+    400: [22, 23, 63],
+    410: [21, 22, 63],
+    420: [20, 21, 63],
+    430: [18, 19, 20, 63],
+    440: [17, 18, 64],
+    450: [16, 17, 64],
+    460: [15, 16, 64],
+    470: [14, 15, 64],
+    480: [13, 14, 64],
+    490: [13, 64]
+  },
+  730: {
+    170: [52],
+    180: [48, 49, 50, 51, 52, 53, 54, 55],
+    190: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    200: [45, 46, 47, 48, 54, 55, 56, 57],
+    210: [43, 44, 45, 46, 56, 57],
+    220: [42, 43, 44, 57, 58],
+    230: [41, 42, 57, 58],
+    240: [40, 41, 58, 59],
+    250: [38, 39, 40, 58, 59],
+    260: [37, 38, 39, 59, 60],
+    270: [36, 37, 59, 60],
+    280: [35, 36, 60],
+    290: [34, 35, 60],
+    300: [33, 34, 60, 61],
+    310: [32, 33, 61],
+    320: [31, 32, 61],
+    330: [29, 30, 61],
+    340: [29, 30, 61, 62],
+    350: [27, 28, 61, 62],
+    360: [26, 27, 62],
+    370: [25, 26, 62],
+    380: [24, 25, 62],
+    390: [23, 24, 62],
+    400: [22, 23, 62, 63],
+    410: [21, 22, 63],
+    420: [20, 21, 63],
+    430: [19, 20, 63],
+    440: [18, 19, 63],
+    450: [17, 18, 63],
+    460: [16, 17, 63],
+    470: [15, 16, 63],
+    480: [14, 64],
+    490: [13, 64],
+    500: [13]
+  },
+  740: {
+    180: [50, 51, 52, 53],
+    190: [47, 48, 49, 50, 51, 52, 53, 54, 55],
+    200: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    210: [44, 45, 46, 47, 54, 55, 56],
+    220: [43, 44, 45, 55, 56, 57],
+    230: [41, 42, 43, 56, 57],
+    240: [40, 41, 42, 57, 58],
+    250: [39, 40, 57, 58],
+    260: [37, 38, 39, 58, 59],
+    270: [36, 37, 38, 58, 59],
+    280: [35, 36, 59],
+    290: [34, 35, 59, 60],
+    300: [33, 34, 60],
+    310: [32, 33, 60],
+    320: [31, 32, 60],
+    330: [30, 31, 60, 61],
+    340: [29, 30, 61],
+    350: [28, 29, 61],
+    360: [27, 28, 61],
+    370: [25, 26, 27, 61],
+    380: [24, 25, 61, 62],
+    390: [23, 24, 62],
+    400: [22, 23, 62],
+    410: [21, 22, 62],
+    420: [20, 21, 62],
+    430: [19, 20, 62],
+    440: [18, 19, 62, 63],
+    450: [17, 18, 63],
+    460: [16, 17, 63],
+    470: [15, 16, 63],
+    480: [14, 15, 63],
+    490: [13, 14, 63]
+  },
+  750: {
+    190: [49, 50, 51, 52],
+    200: [46, 47, 48, 49, 50, 51, 52, 53, 54],
+    210: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    220: [43, 44, 45, 46, 54, 55, 56],
+    230: [42, 43, 44, 55, 56, 57],
+    240: [40, 41, 42, 56, 57],
+    250: [39, 40, 41, 56, 57],
+    260: [38, 39, 57, 58],
+    270: [37, 38, 58],
+    280: [36, 37, 58, 59],
+    290: [34, 35, 36, 58, 59],
+    300: [33, 34, 35, 59],
+    310: [32, 33, 59, 60],
+    320: [31, 32, 59, 60],
+    330: [30, 31, 60],
+    340: [29, 30, 60],
+    350: [28, 29, 60],
+    360: [27, 28, 60, 61],
+    370: [26, 27, 61],
+    380: [25, 26, 61],
+    390: [24, 25, 61],
+    400: [23, 24, 61],
+    410: [21, 22, 61, 62],
+    420: [20, 21, 22, 62],
+    430: [20, 62],
+    440: [18, 19, 62],
+    450: [17, 18, 62],
+    460: [16, 17, 62],
+    470: [15, 16, 62],
+    480: [14, 15, 62],
+    490: [14, 63]
+  },
+  760: {
+    200: [48, 49, 50, 51, 52, 53],
+    210: [46, 47, 48, 49, 50, 51, 52, 53, 54],
+    220: [44, 45, 46, 47, 48, 51, 52, 53, 54, 55],
+    230: [42, 43, 44, 45, 54, 55, 56],
+    240: [41, 42, 43, 55, 56],
+    250: [40, 41, 56, 57],
+    260: [38, 39, 40, 56, 57],
+    270: [37, 38, 39, 57, 58],
+    280: [36, 37, 57, 58],
+    290: [35, 36, 58],
+    300: [34, 35, 58, 59],
+    310: [33, 34, 58, 59],
+    320: [31, 32, 33, 59],
+    330: [30, 31, 32, 59],
+    340: [29, 30, 59, 60],
+    350: [28, 29, 59, 60],
+    360: [27, 28, 60],
+    370: [26, 27, 60],
+    380: [25, 26, 60],
+    390: [24, 25, 60, 61],
+    400: [23, 24, 61],
+    410: [22, 23, 61],
+    420: [21, 22, 61],
+    430: [20, 21, 61],
+    440: [19, 20, 61],
+    450: [18, 19, 61, 62],
+    460: [17, 18, 62],
+    470: [16, 17, 62],
+    480: [15, 16, 62],
+    490: [14, 15, 62]
+  },
+  770: {
+    210: [47, 48, 49, 50, 51, 52],
+    220: [45, 46, 47, 48, 49, 50, 51, 52, 53],
+    230: [43, 44, 45, 46, 47, 51, 52, 53, 54],
+    240: [41, 42, 43, 44, 53, 54, 55],
+    250: [40, 41, 42, 54, 55, 56],
+    260: [39, 40, 41, 55, 56],
+    270: [37, 38, 39, 56, 57],
+    280: [36, 37, 38, 56, 57],
+    290: [35, 36, 37, 57, 58],
+    300: [34, 35, 57, 58],
+    310: [33, 34, 58],
+    320: [32, 33, 58],
+    330: [31, 32, 58, 59],
+    340: [30, 31, 58, 59],
+    350: [28, 29, 30, 59],
+    360: [27, 28, 29, 59],
+    370: [26, 27, 59, 60],
+    380: [25, 26, 60],
+    390: [24, 25, 60],
+    400: [23, 24, 60],
+    410: [22, 23, 60],
+    420: [21, 22, 60, 61],
+    430: [20, 21, 61],
+    440: [19, 20, 61],
+    450: [18, 19, 61],
+    460: [17, 18, 61],
+    470: [16, 17, 61],
+    480: [15, 16, 61],
+    490: [15, 61]
+  },
+  780: {
+    220: [46, 47, 48, 49, 50, 51, 52],
+    230: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    240: [42, 43, 44, 45, 46, 51, 52, 53, 54],
+    250: [41, 42, 43, 53, 54, 55],
+    260: [39, 40, 41, 54, 55],
+    270: [38, 39, 40, 55, 56],
+    280: [37, 38, 55, 56],
+    290: [36, 37, 56, 57],
+    300: [34, 35, 36, 56, 57],
+    310: [33, 34, 35, 57],
+    320: [32, 33, 57, 58],
+    330: [31, 32, 57, 58],
+    340: [30, 31, 58],
+    350: [29, 30, 58, 59],
+    360: [28, 29, 58, 59],
+    370: [27, 28, 59],
+    380: [26, 27, 59],
+    390: [25, 26, 59],
+    400: [24, 25, 59, 60],
+    410: [23, 24, 60],
+    420: [22, 23, 60],
+    430: [21, 60],
+    440: [19, 20, 21, 60],
+    450: [19, 20, 60],
+    460: [18, 60, 61],
+    470: [16, 17, 18, 61],
+    480: [16, 17, 61],
+    490: [15, 61],
+    500: [15]
+  },
+  790: {
+    220: [48, 49],
+    230: [45, 46, 47, 48, 49, 50, 51, 52],
+    240: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    250: [41, 42, 43, 44, 45, 51, 52, 53, 54],
+    260: [40, 41, 42, 52, 53, 54],
+    270: [38, 39, 40, 41, 53, 54, 55],
+    280: [37, 38, 39, 54, 55],
+    290: [36, 37, 38, 55, 56],
+    300: [35, 36, 55, 56],
+    310: [34, 35, 56, 57],
+    320: [32, 33, 34, 56, 57],
+    330: [31, 32, 33, 57],
+    340: [30, 31, 32, 57, 58],
+    350: [29, 30, 31, 57, 58],
+    360: [28, 29, 58],
+    370: [27, 28, 58],
+    380: [26, 27, 58],
+    390: [25, 26, 58, 59],
+    400: [24, 25, 59],
+    410: [23, 24, 59],
+    420: [22, 23, 59],
+    430: [21, 22, 59, 60],
+    440: [20, 21, 60],
+    450: [19, 20, 60],
+    460: [18, 19, 60],
+    470: [17, 18, 60],
+    480: [16, 17, 60],
+    490: [16, 60]
+  },
+  800: {
+    230: [47, 48, 49],
+    240: [44, 45, 46, 47, 48, 49, 50, 51],
+    250: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    260: [41, 42, 43, 44, 50, 51, 52, 53],
+    270: [39, 40, 41, 42, 52, 53, 54],
+    280: [38, 39, 40, 53, 54],
+    290: [37, 38, 54, 55],
+    300: [35, 36, 37, 54, 55],
+    310: [34, 35, 36, 55, 56],
+    320: [33, 34, 55, 56],
+    330: [32, 33, 56, 57],
+    340: [31, 32, 56, 57],
+    350: [30, 31, 57],
+    360: [29, 30, 57],
+    370: [27, 28, 29, 57, 58],
+    380: [27, 28, 57, 58],
+    390: [25, 26, 58],
+    400: [25, 26, 58],
+    410: [23, 24, 58, 59],
+    420: [22, 23, 59],
+    430: [21, 22, 59],
+    440: [20, 21, 59],
+    450: [20, 59],
+    460: [18, 19, 59],
+    470: [17, 18, 59, 60],
+    480: [16, 17, 60],
+    490: [16, 60]
+  },
+  810: {
+    240: [46, 47, 48, 49],
+    250: [43, 44, 45, 46, 47, 48, 49, 50, 51],
+    260: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    270: [40, 41, 42, 43, 50, 51, 52, 53],
+    280: [38, 39, 40, 41, 52, 53],
+    290: [37, 38, 39, 52, 53, 54],
+    300: [36, 37, 38, 53, 54, 55],
+    310: [35, 36, 54, 55],
+    320: [33, 34, 35, 54, 55],
+    330: [32, 33, 34, 55, 56],
+    340: [31, 32, 55, 56],
+    350: [30, 31, 56],
+    360: [29, 30, 56, 57],
+    370: [28, 29, 56, 57],
+    380: [27, 28, 57],
+    390: [26, 27, 57],
+    400: [25, 26, 57, 58],
+    410: [24, 25, 58],
+    420: [23, 24, 58],
+    430: [22, 23, 58],
+    440: [21, 22, 58],
+    450: [20, 21, 58, 59],
+    460: [19, 20, 59],
+    470: [18, 19, 59],
+    480: [17, 18, 59],
+    490: [16, 17, 59]
+  },
+  820: {
+    250: [45, 46, 47, 48],
+    260: [43, 44, 45, 46, 47, 48, 49, 50],
+    270: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    280: [39, 40, 41, 42, 50, 51, 52],
+    290: [38, 39, 40, 51, 52, 53],
+    300: [36, 37, 38, 39, 52, 53, 54],
+    310: [35, 36, 37, 53, 54],
+    320: [34, 35, 36, 53, 54],
+    330: [33, 34, 54, 55],
+    340: [32, 33, 55],
+    350: [31, 32, 55, 56],
+    360: [29, 30, 31, 55, 56],
+    370: [28, 29, 30, 56],
+    380: [27, 28, 56],
+    390: [26, 27, 28, 56, 57],
+    400: [25, 26, 57],
+    410: [24, 25, 57],
+    420: [23, 24, 57],
+    430: [22, 23, 57, 58],
+    440: [21, 22, 58],
+    450: [20, 21, 58],
+    460: [19, 20, 58],
+    470: [18, 19, 58],
+    480: [18, 58, 59],
+    490: [17]
+  },
+  830: {
+    260: [44, 45, 46, 47, 48],
+    270: [42, 43, 44, 45, 46, 47, 48, 49, 50],
+    280: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    290: [39, 40, 41, 42, 49, 50, 51, 52],
+    300: [37, 38, 39, 40, 51, 52, 53],
+    310: [36, 37, 38, 52, 53],
+    320: [35, 36, 52, 53, 54],
+    330: [33, 34, 35, 53, 54],
+    340: [32, 33, 34, 53, 54],
+    350: [31, 32, 54, 55],
+    360: [30, 31, 54, 55],
+    370: [29, 30, 55],
+    380: [28, 29, 55, 56],
+    390: [27, 28, 56],
+    400: [26, 27, 56],
+    410: [25, 26, 56, 57],
+    420: [24, 25, 56, 57],
+    430: [23, 24, 57],
+    440: [22, 23, 57],
+    450: [21, 22, 57],
+    460: [20, 21, 57, 58],
+    470: [19, 20, 58],
+    480: [18, 19, 58],
+    490: [17, 18, 58]
+  },
+  840: {
+    270: [44, 45, 46, 47, 48],
+    280: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    290: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    300: [38, 39, 40, 41, 49, 50, 51],
+    310: [37, 38, 39, 50, 51, 52],
+    320: [35, 36, 37, 51, 52, 53],
+    330: [34, 35, 36, 52, 53],
+    340: [33, 34, 53, 54],
+    350: [32, 33, 53, 54],
+    360: [31, 32, 54],
+    370: [29, 30, 31, 54, 55],
+    380: [28, 29, 30, 54, 55],
+    390: [27, 28, 55],
+    400: [26, 27, 55, 56],
+    410: [25, 26, 55, 56],
+    420: [24, 25, 56],
+    430: [23, 24, 56],
+    440: [22, 23, 56, 57],
+    450: [21, 22, 56, 57],
+    460: [20, 21, 57],
+    470: [19, 20, 57],
+    480: [18, 19, 57],
+    490: [18, 57]
+  },
+  850: {
+    280: [43, 44, 45, 46, 47],
+    290: [41, 42, 43, 44, 45, 46, 47, 48, 49],
+    300: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    310: [37, 38, 39, 40, 48, 49, 50, 51],
+    320: [36, 37, 38, 39, 50, 51],
+    330: [35, 36, 37, 51, 52],
+    340: [33, 34, 35, 51, 52, 53],
+    350: [32, 33, 34, 52, 53],
+    360: [31, 32, 33, 53, 54],
+    370: [30, 31, 53, 54],
+    380: [29, 30, 53, 54],
+    390: [28, 29, 54, 55],
+    400: [27, 28, 54, 55],
+    410: [26, 27, 55],
+    420: [25, 26, 55],
+    430: [24, 25, 55, 56],
+    440: [23, 24, 55, 56],
+    450: [22, 23, 56],
+    460: [21, 22, 56],
+    470: [20, 21, 56, 57],
+    480: [19, 20, 57],
+    490: [18, 19, 57]
+  },
+  860: {
+    290: [43, 44, 45, 46, 47],
+    300: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    310: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    320: [37, 38, 39, 40, 48, 49, 50],
+    330: [36, 37, 38, 49, 50, 51],
+    340: [34, 35, 36, 50, 51, 52],
+    350: [33, 34, 35, 51, 52],
+    360: [32, 33, 52, 53],
+    370: [31, 32, 52, 53],
+    380: [30, 31, 53],
+    390: [28, 29, 30, 53, 54],
+    400: [27, 28, 29, 53, 54],
+    410: [26, 27, 28, 54],
+    420: [25, 26, 54, 55],
+    430: [24, 25, 54, 55],
+    440: [23, 24, 55],
+    450: [22, 23, 55],
+    460: [21, 22, 55, 56],
+    470: [20, 21, 56],
+    480: [19, 20, 56],
+    490: [19, 56]
+  },
+  870: {
+    300: [42, 43, 44, 45, 46],
+    310: [40, 41, 42, 43, 44, 45, 46, 47, 48],
+    320: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    330: [36, 37, 38, 39, 40, 47, 48, 49, 50],
+    340: [35, 36, 37, 38, 48, 49, 50, 51],
+    350: [34, 35, 36, 50, 51],
+    360: [32, 33, 34, 50, 51, 52],
+    370: [31, 32, 33, 51, 52],
+    380: [30, 31, 32, 52, 53],
+    390: [29, 30, 31, 52, 53],
+    400: [28, 29, 53],
+    410: [27, 28, 53, 54],
+    420: [26, 27, 53, 54],
+    430: [25, 26, 54],
+    440: [24, 25, 54],
+    450: [23, 24, 54, 55],
+    460: [22, 23, 55],
+    470: [21, 22, 55],
+    480: [20, 21, 55],
+    490: [19, 20, 55]
+  },
+  880: {
+    310: [42, 43, 44, 45],
+    320: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    330: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    340: [36, 37, 38, 39, 40, 46, 47, 48, 49],
+    350: [35, 36, 37, 48, 49, 50],
+    360: [33, 34, 35, 49, 50, 51],
+    370: [32, 33, 34, 50, 51],
+    380: [31, 32, 33, 50, 51, 52],
+    390: [30, 31, 51, 52],
+    400: [28, 29, 30, 52],
+    410: [27, 28, 29, 52, 53],
+    420: [26, 27, 28, 52, 53],
+    430: [25, 26, 27, 53],
+    440: [24, 25, 53, 54],
+    450: [23, 24, 25, 54],
+    460: [22, 23, 54],
+    470: [21, 22, 54, 55],
+    480: [20, 21, 54, 55],
+    490: [20, 55]
+  },
+  890: {
+    320: [41, 42, 43, 44, 45],
+    330: [39, 40, 41, 42, 43, 44, 45, 46, 47],
+    340: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    350: [35, 36, 37, 38, 39, 46, 47, 48, 49],
+    360: [34, 35, 36, 37, 47, 48, 49, 50],
+    370: [33, 34, 35, 48, 49, 50],
+    380: [31, 32, 33, 34, 49, 50, 51],
+    390: [30, 31, 32, 50, 51],
+    400: [29, 30, 31, 50, 51, 52],
+    410: [28, 29, 30, 51, 52],
+    420: [27, 28, 52],
+    430: [26, 27, 52, 53],
+    440: [25, 26, 52, 53],
+    450: [24, 25, 53],
+    460: [23, 24, 53, 54],
+    470: [22, 23, 53, 54],
+    480: [21, 22, 54],
+    490: [20, 21, 54]
+  },
+  900: {
+    330: [42, 43, 44],
+    340: [38, 39, 40, 41, 42, 43, 44, 45, 46],
+    350: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    360: [35, 36, 37, 38, 39, 45, 46, 47, 48],
+    370: [34, 35, 36, 47, 48, 49],
+    380: [32, 33, 34, 35, 48, 49, 50],
+    390: [31, 32, 33, 49, 50],
+    400: [30, 31, 32, 49, 50, 51],
+    410: [29, 30, 50, 51],
+    420: [28, 29, 50, 51],
+    430: [27, 28, 51, 52],
+    440: [25, 26, 27, 51, 52],
+    450: [24, 25, 26, 52, 53],
+    460: [23, 24, 25, 52, 53],
+    470: [22, 23, 24, 52, 53],
+    480: [22, 53],
+    490: [21, 22, 53]
+  },
+  910: {
+    340: [41, 42, 43, 44],
+    350: [38, 39, 40, 41, 42, 43, 44, 45, 46],
+    360: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    370: [35, 36, 37, 38, 44, 45, 46, 47, 48],
+    380: [33, 34, 35, 36, 46, 47, 48],
+    390: [32, 33, 34, 47, 48, 49],
+    400: [31, 32, 33, 48, 49, 50],
+    410: [30, 31, 49, 50],
+    420: [28, 29, 30, 49, 50, 51],
+    430: [27, 28, 29, 50, 51],
+    440: [26, 27, 28, 50, 51],
+    450: [25, 26, 27, 51, 52],
+    460: [24, 25, 51, 52],
+    470: [23, 24, 52],
+    480: [22, 23, 52, 53],
+    490: [22, 52, 53]
+  },
+  920: {
+    350: [41, 42],
+    360: [38, 39, 40, 41, 42, 43, 44, 45],
+    370: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    380: [34, 35, 36, 37, 38, 39, 43, 44, 45, 46, 47],
+    390: [33, 34, 35, 36, 45, 46, 47, 48],
+    400: [31, 32, 33, 34, 47, 48, 49],
+    410: [30, 31, 32, 47, 48, 49],
+    420: [29, 30, 31, 48, 49, 50],
+    430: [28, 29, 30, 49, 50],
+    440: [27, 28, 50, 51],
+    450: [26, 27, 50, 51],
+    460: [25, 26, 50, 51],
+    470: [24, 25, 51, 52],
+    480: [23, 24, 51, 52],
+    490: [22, 23, 52]
+  },
+  930: {
+    370: [38, 39, 40, 41, 42, 43, 44],
+    380: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    390: [34, 35, 36, 37, 38, 39, 42, 43, 44, 45, 46, 47],
+    400: [32, 33, 34, 35, 36, 45, 46, 47],
+    410: [31, 32, 33, 34, 46, 47, 48],
+    420: [30, 31, 32, 47, 48],
+    430: [29, 30, 31, 48, 49],
+    440: [28, 29, 48, 49, 50],
+    450: [26, 27, 28, 49, 50],
+    460: [26, 27, 50],
+    470: [24, 25, 26, 50, 51],
+    480: [24, 25, 50, 51],
+    490: [23, 24, 51],
+    500: [23, 51]
+  },
+  940: {
+    380: [37, 38, 39, 40, 41, 42, 43],
+    390: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    400: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    410: [32, 33, 34, 35, 36, 44, 45, 46, 47],
+    420: [31, 32, 33, 45, 46, 47],
+    430: [30, 31, 32, 46, 47, 48],
+    440: [28, 29, 30, 47, 48, 49],
+    450: [27, 28, 29, 48, 49],
+    460: [26, 27, 28, 48, 49],
+    470: [25, 26, 27, 49, 50],
+    480: [24, 25, 26, 49, 50],
+    490: [23, 24, 50, 51],
+    500: [24]
+  },
+  950: {
+    390: [37, 38, 39, 40, 41, 42, 43],
+    400: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    420: [32, 33, 34, 35, 36, 43, 44, 45, 46],
+    430: [31, 32, 33, 34, 45, 46, 47],
+    440: [29, 30, 31, 32, 46, 47, 48],
+    450: [28, 29, 30, 47, 48],
+    460: [27, 28, 29, 47, 48, 49],
+    470: [26, 27, 28, 48, 49],
+    480: [25, 26, 27, 48, 49],
+    490: [24, 25, 49],
+    500: [24]
+  },
+  960: {
+    400: [38, 39, 40, 41],
+    410: [35, 36, 37, 38, 39, 40, 41, 42, 43],
+    420: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    430: [32, 33, 34, 35, 36, 42, 43, 44, 45],
+    440: [31, 32, 33, 44, 45, 46],
+    450: [29, 30, 31, 32, 45, 46, 47],
+    460: [28, 29, 30, 46, 47],
+    470: [27, 28, 29, 47, 48],
+    480: [26, 27, 28, 47, 48],
+    490: [26, 48]
+  },
+  970: {
+    410: [38, 39, 40, 41],
+    420: [35, 36, 37, 38, 39, 40, 41, 42, 43],
+    430: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    440: [32, 33, 34, 35, 36, 41, 42, 43, 44, 45],
+    450: [30, 31, 32, 33, 43, 44, 45, 46],
+    460: [29, 30, 31, 32, 44, 45, 46],
+    470: [28, 29, 30, 45, 46, 47],
+    480: [26, 27, 28, 29, 46, 47],
+    490: [26, 27, 47, 48],
+    500: [47]
+  },
+  980: {
+    420: [39],
+    430: [35, 36, 37, 38, 39, 40, 41, 42],
+    440: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    450: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    460: [30, 31, 32, 33, 42, 43, 44, 45],
+    470: [29, 30, 31, 32, 43, 44, 45, 46],
+    480: [27, 28, 29, 30, 45, 46],
+    490: [27, 28, 45, 46, 47]
+  },
+  990: {
+    440: [36, 37, 38, 39, 40, 41],
+    450: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    460: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    470: [30, 31, 32, 33, 34, 41, 42, 43, 44],
+    480: [28, 29, 30, 31, 43, 44, 45],
+    490: [28, 29, 30, 44, 45]
+  },
+  1000: {
+    450: [36, 37, 38, 39],
+    460: [33, 34, 35, 36, 37, 38, 39, 40, 41],
+    470: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    480: [30, 31, 32, 33, 34, 39, 40, 41, 42, 43, 44],
+    490: [29, 30, 31, 42, 43, 44],
+    500: [44]
+  },
+  1010: {
+    460: [36, 37, 39],
+    470: [33, 34, 35, 36, 37, 38, 39, 40, 41],
+    480: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    490: [31, 32, 33, 34, 35, 36, 37, 39, 40, 41, 42]
+  },
+  1020: {
+    480: [34, 35, 36, 37, 38, 39],
+    490: [32, 33, 34, 35, 36, 37, 38, 39, 40],
+    500: [33, 36]
+  },
+  1030: {
+    490: [36, 38]
+  }
+};
@@ -1,5 +1,6 @@
 // Firing Table Data for World 1
-// Generated on 2025-08-04T21:03:34.636Z
+// Cannonball size level 10 (radius 16.0px)
+// Generated on 2026-10-19T18:31:49.081Z
 export default {
   0: {
     0: [96, 97, 99, 100, 101],
@@ -42,39 +43,17 @@ export default {
     370: [95, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
     380: [95, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
     390: [95, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
-    400: [
-      95, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153,
-    ],
-    410: [
-      95, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156,
-      157,
-    ],
-    420: [
-      95, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160,
-      161,
-    ],
-    430: [
-      95, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164,
-    ],
-    440: [
-      95, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168,
-      169, 170,
-    ],
-    450: [
-      95, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172,
-      173, 174, 175,
-    ],
-    460: [
-      95, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177,
-      178, 179, 180,
-    ],
-    470: [
-      95, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181,
-      182, 183,
-    ],
+    400: [95, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    410: [95, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    420: [95, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    430: [95, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    440: [95, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    450: [95, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    460: [95, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [95, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
     480: [95, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
     490: [95, 178, 179, 180, 181, 182, 183],
-    500: [183],
+    500: [183]
   },
   10: {
     0: [96, 98, 99, 100, 101],
@@ -114,49 +93,20 @@ export default {
     340: [94, 95, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
     350: [94, 95, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
     360: [94, 95, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
-    370: [
-      94, 95, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141,
-    ],
+    370: [94, 95, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
     380: [94, 95, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
-    390: [
-      94, 95, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146,
-      147, 148,
-    ],
-    400: [
-      94, 95, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149,
-      150, 151,
-    ],
-    410: [
-      94, 95, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153,
-      154,
-    ],
-    420: [
-      94, 95, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157,
-      158, 159, 160,
-    ],
-    430: [
-      94, 95, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160,
-      161, 162, 163, 164, 165,
-    ],
-    440: [
-      94, 95, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165,
-      166, 167, 168, 169,
-    ],
-    450: [
-      94, 95, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170,
-      171, 172, 173, 174,
-    ],
-    460: [
-      94, 95, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175,
-      176, 177, 178, 179,
-    ],
-    470: [
-      94, 95, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180,
-      181, 182, 183, 184,
-    ],
+    390: [94, 95, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    400: [94, 95, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    410: [94, 95, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    420: [94, 95, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    430: [94, 95, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    440: [94, 95, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    450: [94, 95, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [94, 95, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [94, 95, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
     480: [94, 95, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
     490: [179, 180, 181, 182, 183, 184],
-    500: [183],
+    500: [183]
   },
   20: {
     0: [95, 98, 99, 100],
@@ -197,49 +147,19 @@ export default {
     350: [94, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
     360: [94, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
     370: [94, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
-    380: [
-      94, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141,
-      142,
-    ],
-    390: [
-      94, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144,
-      145,
-    ],
-    400: [
-      94, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148,
-      149,
-    ],
-    410: [
-      94, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151,
-      152, 153, 154,
-    ],
-    420: [
-      94, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155,
-      156, 157, 158,
-    ],
-    430: [
-      94, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160,
-      161, 162,
-    ],
-    440: [
-      94, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164,
-      165, 166, 167, 168,
-    ],
-    450: [
-      94, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169,
-      170, 171, 172, 173, 174,
-    ],
-    460: [
-      94, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174,
-      175, 176, 177, 178, 179, 180,
-    ],
-    470: [
-      94, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179,
-      180, 181, 182, 183, 184,
-    ],
+    380: [94, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    390: [94, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    400: [94, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    410: [94, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    420: [94, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    430: [94, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    440: [94, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    450: [94, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [94, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [94, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
     480: [94, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
     490: [178, 179, 180, 181, 182, 183, 184],
-    500: [184],
+    500: [184]
   },
   30: {
     0: [95, 97, 98, 99],
@@ -279,53 +199,19 @@ export default {
     340: [94, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
     350: [94, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
     360: [94, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
-    370: [
-      94, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136,
-    ],
-    380: [
-      93, 94, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137,
-      138, 139,
-    ],
-    390: [
-      93, 94, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141,
-      142, 143,
-    ],
-    400: [
-      93, 94, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143,
-      144, 145, 146, 147,
-    ],
-    410: [
-      93, 94, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147,
-      148, 149, 150, 151,
-    ],
-    420: [
-      93, 94, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151,
-      152, 153, 154, 155, 156,
-    ],
-    430: [
-      93, 94, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155,
-      156, 157, 158, 159, 160, 161, 162,
-    ],
-    440: [
-      93, 94, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160,
-      161, 162, 163, 164, 165, 166, 167, 168,
-    ],
-    450: [
-      93, 94, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166,
-      167, 168, 169, 170, 171, 172, 173,
-    ],
-    460: [
-      93, 94, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172,
-      173, 174, 175, 176, 177, 178, 179,
-    ],
-    470: [
-      93, 94, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179,
-      180, 181, 182, 183, 184, 185,
-    ],
-    480: [
-      93, 94, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185,
-    ],
-    490: [179, 180, 181, 182, 183, 184, 185],
+    370: [94, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    380: [93, 94, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    390: [93, 94, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    400: [93, 94, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    410: [93, 94, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    420: [93, 94, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    430: [93, 94, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    440: [93, 94, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    450: [93, 94, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [93, 94, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [93, 94, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    480: [93, 94, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    490: [179, 180, 181, 182, 183, 184, 185]
   },
   40: {
     0: [94, 96, 97, 98],
@@ -363,63 +249,22 @@ export default {
     320: [93, 94, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
     330: [93, 94, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
     340: [93, 94, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
-    350: [
-      93, 94, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127,
-      128,
-    ],
-    360: [
-      93, 94, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130,
-    ],
-    370: [
-      93, 94, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131,
-      132, 133,
-    ],
-    380: [
-      93, 94, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134,
-      135, 136,
-    ],
-    390: [
-      93, 94, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136,
-      137, 138, 139, 140, 141,
-    ],
-    400: [
-      93, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141,
-      142, 143, 144,
-    ],
-    410: [
-      93, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144,
-      145, 146, 147, 148, 149,
-    ],
-    420: [
-      93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148,
-      149, 150, 151, 152, 153, 154, 155,
-    ],
-    430: [
-      93, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153,
-      154, 155, 156, 157, 158, 159,
-    ],
-    440: [
-      93, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158,
-      159, 160, 161, 162, 163, 164, 165, 166,
-    ],
-    450: [
-      93, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163,
-      164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174,
-    ],
-    460: [
-      93, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170,
-      171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181,
-    ],
-    470: [
-      93, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176,
-      177, 178, 179, 180, 181, 182, 183, 184, 185,
-    ],
-    480: [
-      93, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184,
-      185,
-    ],
+    350: [93, 94, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    360: [93, 94, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    370: [93, 94, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    380: [93, 94, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    390: [93, 94, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    400: [93, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    410: [93, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    420: [93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    430: [93, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    440: [93, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [93, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [93, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    470: [93, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    480: [93, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
     490: [178, 179, 180, 181, 182, 183, 184, 185],
-    500: [185],
+    500: [185]
   },
   50: {
     0: [93, 94, 95, 96, 97],
@@ -456,62 +301,22 @@ export default {
     310: [93, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
     320: [93, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
     330: [93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
-    340: [
-      93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123,
-    ],
+    340: [93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
     350: [93, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
-    360: [
-      93, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126,
-      127,
-    ],
-    370: [
-      93, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129,
-    ],
-    380: [
-      93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131,
-      132, 133, 134,
-    ],
-    390: [
-      93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134,
-      135, 136, 137,
-    ],
-    400: [
-      93, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136,
-      137, 138, 139, 140, 141, 142,
-    ],
-    410: [
-      93, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139,
-      140, 141, 142, 143, 144, 145, 146,
-    ],
-    420: [
-      93, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145,
-      146, 147, 148, 149, 150, 151,
-    ],
-    430: [
-      93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148,
-      149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159,
-    ],
-    440: [
-      93, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153,
-      154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165,
-    ],
-    450: [
-      93, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160,
-      161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172,
-    ],
-    460: [
-      93, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168,
-      169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179,
-    ],
-    470: [
-      93, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176,
-      177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188,
-    ],
-    480: [
-      93, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184,
-      185, 186, 187, 188,
-    ],
-    490: [180, 181, 182, 183, 184, 185, 186, 187, 188],
+    360: [93, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    370: [93, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    380: [93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    390: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    400: [93, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    410: [93, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    420: [93, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    430: [93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    440: [93, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    450: [93, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    460: [93, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [93, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [93, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [180, 181, 182, 183, 184, 185, 186, 187, 188]
   },
   60: {
     0: [93, 94, 95, 96],
@@ -525,347 +330,203 @@ export default {
     80: [93, 96, 97, 98, 99],
     90: [93, 96, 97, 98, 99],
     100: [93, 96, 97, 98, 99],
-    110: [93, 96, 97, 98, 99, 100],
-    120: [93, 96, 97, 98, 99, 100],
-    130: [93, 97, 98, 99, 100, 101],
-    140: [93, 97, 98, 99, 100, 101],
-    150: [93, 97, 98, 99, 100, 101],
-    160: [93, 97, 98, 99, 100, 101, 102],
-    170: [93, 97, 98, 99, 100, 101, 102],
-    180: [93, 98, 99, 100, 101, 102, 103],
-    190: [93, 98, 99, 100, 101, 102, 103],
-    200: [93, 98, 99, 100, 101, 102, 103, 104],
-    210: [93, 99, 100, 101, 102, 103, 104, 105],
-    220: [93, 99, 100, 101, 102, 103, 104, 105],
-    230: [93, 100, 101, 102, 103, 104, 105, 106],
-    240: [93, 100, 101, 102, 103, 104, 105, 106, 107],
-    250: [93, 100, 101, 102, 103, 104, 105, 106, 107],
-    260: [93, 101, 102, 103, 104, 105, 106, 107, 108],
-    270: [93, 101, 102, 103, 104, 105, 106, 107, 108, 109],
-    280: [93, 102, 103, 104, 105, 106, 107, 108, 109, 110],
-    290: [93, 103, 104, 105, 106, 107, 108, 109, 110, 111],
-    300: [93, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
-    310: [93, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
-    320: [93, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
-    330: [93, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
-    340: [93, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
-    350: [
-      93, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121,
-    ],
-    360: [
-      93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123,
-      124,
-    ],
-    370: [
-      93, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124,
-      125, 126, 127,
-    ],
-    380: [
-      93, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126,
-      127, 128, 129, 130,
-    ],
-    390: [
-      93, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129,
-      130, 131, 132, 133, 134,
-    ],
-    400: [
-      93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131,
-      132, 133, 134, 135, 136, 137, 138,
-    ],
-    410: [
-      93, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135,
-      136, 137, 138, 139, 140, 141, 142,
-    ],
-    420: [
-      93, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138,
-      139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149,
-    ],
-    430: [
-      93, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143,
-      144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155,
-    ],
-    440: [
-      93, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150,
-      151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162,
-    ],
-    450: [
-      93, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155,
-      156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170,
-      171, 172,
-    ],
-    460: [
-      93, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162,
-      163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177,
-      178, 179, 180, 181, 182,
-    ],
-    470: [
-      93, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171,
-      172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186,
-      187, 188,
-    ],
-    480: [
-      93, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181,
-      182, 183, 184, 185, 186, 187, 188,
-    ],
-    490: [177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
-    500: [187, 188],
+    110: [92, 93, 96, 97, 98, 99, 100],
+    120: [92, 93, 96, 97, 98, 99, 100],
+    130: [92, 93, 97, 98, 99, 100, 101],
+    140: [92, 93, 97, 98, 99, 100, 101],
+    150: [92, 93, 97, 98, 99, 100, 101],
+    160: [92, 93, 97, 98, 99, 100, 101, 102],
+    170: [92, 93, 97, 98, 99, 100, 101, 102],
+    180: [92, 93, 98, 99, 100, 101, 102, 103],
+    190: [92, 93, 98, 99, 100, 101, 102, 103],
+    200: [92, 93, 98, 99, 100, 101, 102, 103, 104],
+    210: [92, 93, 99, 100, 101, 102, 103, 104, 105],
+    220: [92, 93, 99, 100, 101, 102, 103, 104, 105],
+    230: [92, 93, 100, 101, 102, 103, 104, 105, 106],
+    240: [92, 93, 100, 101, 102, 103, 104, 105, 106, 107],
+    250: [92, 93, 100, 101, 102, 103, 104, 105, 106, 107],
+    260: [92, 93, 101, 102, 103, 104, 105, 106, 107, 108],
+    270: [92, 93, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    280: [92, 93, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    290: [92, 93, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    300: [92, 93, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    310: [92, 93, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    320: [92, 93, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    330: [92, 93, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    340: [92, 93, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    350: [92, 93, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    360: [92, 93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    370: [92, 93, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    380: [92, 93, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    390: [92, 93, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    400: [92, 93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    410: [92, 93, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    420: [92, 93, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    430: [92, 93, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    440: [92, 93, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    450: [92, 93, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    460: [92, 93, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    470: [92, 93, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [92, 93, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [92, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    500: [187, 188]
   },
   70: {
-    0: [93, 94, 95, 96],
-    10: [93, 94, 95, 96],
-    20: [93, 94, 95, 96],
-    30: [93, 94, 95, 96],
-    40: [93, 94, 95, 96, 97],
-    50: [93, 94, 95, 96, 97],
-    60: [93, 94, 95, 96, 97],
-    70: [93, 94, 95, 96, 97],
-    80: [93, 94, 95, 96, 97, 98],
-    90: [93, 94, 95, 96, 97, 98],
-    100: [93, 95, 96, 97, 98],
-    110: [93, 95, 96, 97, 98, 99],
-    120: [93, 95, 96, 97, 98, 99],
-    130: [93, 95, 96, 97, 98, 99],
-    140: [93, 95, 96, 97, 98, 99, 100],
-    150: [93, 96, 97, 98, 99, 100],
-    160: [93, 96, 97, 98, 99, 100],
-    170: [93, 96, 97, 98, 99, 100, 101],
-    180: [93, 96, 97, 98, 99, 100, 101],
-    190: [93, 96, 97, 98, 99, 100, 101, 102],
-    200: [93, 97, 98, 99, 100, 101, 102],
-    210: [93, 97, 98, 99, 100, 101, 102, 103],
-    220: [97, 98, 99, 100, 101, 102, 103],
-    230: [97, 98, 99, 100, 101, 102, 103, 104],
-    240: [98, 99, 100, 101, 102, 103, 104],
-    250: [98, 99, 100, 101, 102, 103, 104, 105],
-    260: [99, 100, 101, 102, 103, 104, 105, 106],
-    270: [99, 100, 101, 102, 103, 104, 105, 106, 107],
-    280: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
-    290: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
-    300: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
-    310: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
-    320: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
-    330: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
-    340: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
-    350: [
-      104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118,
-    ],
-    360: [
-      106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120,
-    ],
-    370: [
-      107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121,
-      122, 123,
-    ],
-    380: [
-      110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124,
-      125,
-    ],
-    390: [
-      110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124,
-      125, 126, 127, 128, 129, 130,
-    ],
-    400: [
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128,
-      129, 130, 131, 132, 133,
-    ],
-    410: [
-      115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129,
-      130, 131, 132, 133, 134, 135, 136, 137, 138, 139,
-    ],
-    420: [
-      119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133,
-      134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144,
-    ],
-    430: [
-      124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138,
-      139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152,
-    ],
-    440: [
-      128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142,
-      143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157,
-      158, 159, 160, 161,
-    ],
-    450: [
-      136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150,
-      151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165,
-      166, 167, 168, 169, 170,
-    ],
-    460: [
-      147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161,
-      162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176,
-      177, 178, 179,
-    ],
-    470: [
-      158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172,
-      173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187,
-      188,
-    ],
-    480: [
-      170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184,
-      185, 186, 187, 188,
-    ],
-    490: [180, 181, 182, 183, 184, 185, 186, 187, 188],
+    0: [92, 93, 94, 95, 96],
+    10: [92, 93, 94, 95, 96],
+    20: [92, 93, 94, 95, 96],
+    30: [92, 93, 94, 95, 96],
+    40: [92, 93, 94, 95, 96, 97],
+    50: [92, 93, 94, 95, 96, 97],
+    60: [92, 93, 94, 95, 96, 97],
+    70: [92, 93, 94, 95, 96, 97],
+    80: [92, 93, 94, 95, 96, 97, 98],
+    90: [92, 93, 94, 95, 96, 97, 98],
+    100: [92, 93, 95, 96, 97, 98],
+    110: [92, 93, 95, 96, 97, 98, 99],
+    120: [92, 93, 95, 96, 97, 98, 99],
+    130: [92, 93, 95, 96, 97, 98, 99],
+    140: [92, 93, 95, 96, 97, 98, 99, 100],
+    150: [92, 93, 96, 97, 98, 99, 100],
+    160: [92, 93, 96, 97, 98, 99, 100],
+    170: [92, 93, 96, 97, 98, 99, 100, 101],
+    180: [92, 93, 96, 97, 98, 99, 100, 101],
+    190: [92, 93, 96, 97, 98, 99, 100, 101, 102],
+    200: [92, 93, 97, 98, 99, 100, 101, 102],
+    210: [92, 93, 97, 98, 99, 100, 101, 102, 103],
+    220: [92, 97, 98, 99, 100, 101, 102, 103],
+    230: [92, 97, 98, 99, 100, 101, 102, 103, 104],
+    240: [92, 98, 99, 100, 101, 102, 103, 104],
+    250: [92, 98, 99, 100, 101, 102, 103, 104, 105],
+    260: [92, 99, 100, 101, 102, 103, 104, 105, 106],
+    270: [92, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    280: [92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    290: [92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    300: [92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    310: [92, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    320: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    330: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    340: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    350: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    360: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    370: [92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    380: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    390: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    400: [92, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    410: [92, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    420: [92, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    430: [92, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    440: [92, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    450: [92, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [92, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [92, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [92, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [92, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    500: [92]
   },
   80: {
     0: [92, 93, 94, 95],
-    10: [93, 94, 95],
-    20: [93, 94, 95],
-    30: [93, 94, 95],
-    40: [93, 94, 95],
-    50: [93, 94, 95, 96],
-    60: [93, 94, 95, 96],
-    70: [93, 94, 95, 96],
-    80: [93, 94, 95, 96],
-    90: [93, 94, 95, 96, 97],
-    100: [93, 94, 95, 96, 97],
-    110: [93, 94, 95, 96, 97],
-    120: [94, 95, 96, 97],
-    130: [94, 95, 96, 97, 98],
-    140: [94, 95, 96, 97, 98],
-    150: [94, 95, 96, 97, 98],
-    160: [94, 95, 96, 97, 98, 99],
-    170: [94, 95, 96, 97, 98, 99],
-    180: [94, 95, 96, 97, 98, 99],
-    190: [94, 95, 96, 97, 98, 99, 100],
-    200: [95, 96, 97, 98, 99, 100],
-    210: [95, 96, 97, 98, 99, 100, 101],
-    220: [95, 96, 97, 98, 99, 100, 101],
-    230: [95, 96, 97, 98, 99, 100, 101, 102],
-    240: [96, 97, 98, 99, 100, 101, 102],
-    250: [96, 97, 98, 99, 100, 101, 102, 103],
-    260: [96, 97, 98, 99, 100, 101, 102, 103, 104],
-    270: [97, 98, 99, 100, 101, 102, 103, 104],
-    280: [97, 98, 99, 100, 101, 102, 103, 104, 105],
-    290: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
-    300: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
-    310: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
-    320: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
-    330: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
-    340: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
-    350: [
-      100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114,
-    ],
-    360: [
-      101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115,
-      116,
-    ],
-    370: [
-      102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116,
-      117, 118, 119,
-    ],
-    380: [
-      103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117,
-      118, 119, 120, 121, 122,
-    ],
-    390: [
-      105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119,
-      120, 121, 122, 123, 124, 125,
-    ],
-    400: [
-      107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121,
-      122, 123, 124, 125, 126, 127, 128, 129,
-    ],
-    410: [
-      109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123,
-      124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134,
-    ],
-    420: [
-      112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126,
-      127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140,
-    ],
-    430: [
-      115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129,
-      130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144,
-      145, 146, 147, 148,
-    ],
-    440: [
-      122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136,
-      137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151,
-      152, 153, 154, 155,
-    ],
-    450: [
-      134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148,
-      149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161,
-    ],
-    460: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    10: [92, 93, 94, 95],
+    20: [92, 93, 94, 95],
+    30: [92, 93, 94, 95],
+    40: [92, 93, 94, 95],
+    50: [92, 93, 94, 95, 96],
+    60: [92, 93, 94, 95, 96],
+    70: [92, 93, 94, 95, 96],
+    80: [92, 93, 94, 95, 96],
+    90: [92, 93, 94, 95, 96, 97],
+    100: [92, 93, 94, 95, 96, 97],
+    110: [92, 93, 94, 95, 96, 97],
+    120: [92, 94, 95, 96, 97],
+    130: [92, 94, 95, 96, 97, 98],
+    140: [92, 94, 95, 96, 97, 98],
+    150: [92, 94, 95, 96, 97, 98],
+    160: [92, 94, 95, 96, 97, 98, 99],
+    170: [92, 94, 95, 96, 97, 98, 99],
+    180: [92, 94, 95, 96, 97, 98, 99],
+    190: [92, 94, 95, 96, 97, 98, 99, 100],
+    200: [92, 95, 96, 97, 98, 99, 100],
+    210: [91, 92, 95, 96, 97, 98, 99, 100, 101],
+    220: [91, 92, 95, 96, 97, 98, 99, 100, 101],
+    230: [91, 92, 95, 96, 97, 98, 99, 100, 101, 102],
+    240: [91, 92, 96, 97, 98, 99, 100, 101, 102],
+    250: [91, 92, 96, 97, 98, 99, 100, 101, 102, 103],
+    260: [91, 92, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    270: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104],
+    280: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    290: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    300: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    310: [91, 92, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    320: [91, 92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    330: [91, 92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    340: [91, 92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    350: [91, 92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    360: [91, 92, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    370: [91, 92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    380: [91, 92, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    390: [91, 92, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    400: [91, 92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    410: [91, 92, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    420: [91, 92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    430: [91, 92, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    440: [91, 92, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    450: [91, 92, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    460: [91, 92, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    470: [91, 92],
+    480: [91, 92],
+    490: [91, 92]
   },
   90: {
-    0: [92, 93, 94],
-    10: [92, 93, 94],
-    20: [92, 93, 94],
-    30: [92, 93, 94],
-    40: [92, 93, 94],
-    50: [92, 93, 94, 95],
-    60: [92, 93, 94, 95],
-    70: [92, 93, 94, 95],
-    80: [92, 93, 94, 95],
-    90: [92, 93, 94, 95],
-    100: [92, 93, 94, 95, 96],
-    110: [92, 93, 94, 95, 96],
-    120: [92, 93, 94, 95, 96],
-    130: [92, 93, 94, 95, 96],
-    140: [92, 93, 94, 95, 96, 97],
-    150: [92, 93, 94, 95, 96, 97],
-    160: [93, 94, 95, 96, 97],
-    170: [93, 94, 95, 96, 97],
-    180: [93, 94, 95, 96, 97, 98],
-    190: [93, 94, 95, 96, 97, 98],
-    200: [93, 94, 95, 96, 97, 98],
-    210: [93, 94, 95, 96, 97, 98, 99],
-    220: [93, 94, 95, 96, 97, 98, 99],
-    230: [93, 94, 95, 96, 97, 98, 99, 100],
-    240: [94, 95, 96, 97, 98, 99, 100],
-    250: [93, 94, 95, 96, 97, 98, 99, 100, 101],
-    260: [94, 95, 96, 97, 98, 99, 100, 101],
-    270: [94, 95, 96, 97, 98, 99, 100, 101, 102],
-    280: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
-    290: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
-    300: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
-    310: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
-    320: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
-    330: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
-    340: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
-    350: [
-      96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110,
-    ],
-    360: [
-      96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110,
-      111, 112,
-    ],
-    370: [
-      98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112,
-      113,
-    ],
-    380: [
-      98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112,
-      113, 114, 115, 116, 117,
-    ],
-    390: [
-      100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114,
-      115, 116, 117, 118, 119,
-    ],
-    400: [
-      99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113,
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124,
-    ],
-    410: [
-      102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116,
-      117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127,
-    ],
-    420: [
-      102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116,
-      117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131,
-      132, 133, 134, 135,
-    ],
-    430: [
-      107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121,
-      122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136,
-      137, 138, 139, 140,
-    ],
-    440: [
-      118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132,
-      133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143,
-    ],
+    0: [91, 92, 93, 94],
+    10: [91, 92, 93, 94],
+    20: [91, 92, 93, 94],
+    30: [91, 92, 93, 94],
+    40: [91, 92, 93, 94],
+    50: [91, 92, 93, 94, 95],
+    60: [91, 92, 93, 94, 95],
+    70: [91, 92, 93, 94, 95],
+    80: [91, 92, 93, 94, 95],
+    90: [91, 92, 93, 94, 95],
+    100: [91, 92, 93, 94, 95, 96],
+    110: [91, 92, 93, 94, 95, 96],
+    120: [91, 92, 93, 94, 95, 96],
+    130: [91, 92, 93, 94, 95, 96],
+    140: [91, 92, 93, 94, 95, 96, 97],
+    150: [91, 92, 93, 94, 95, 96, 97],
+    160: [91, 92, 93, 94, 95, 96, 97],
+    170: [91, 92, 93, 94, 95, 96, 97],
+    180: [91, 92, 93, 94, 95, 96, 97, 98],
+    190: [91, 92, 93, 94, 95, 96, 97, 98],
+    200: [91, 92, 93, 94, 95, 96, 97, 98],
+    210: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    220: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    230: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    240: [91, 92, 94, 95, 96, 97, 98, 99, 100],
+    250: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    260: [91, 92, 94, 95, 96, 97, 98, 99, 100, 101],
+    270: [91, 92, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    280: [91, 92, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    290: [91, 92, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    300: [91, 92, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    310: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    320: [91, 92, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    330: [91, 92, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    340: [91, 92, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    350: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    360: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    370: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    380: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    390: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    400: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    410: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    420: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    430: [91, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    440: [91, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
   },
   100: {
     0: [91, 92, 93],
@@ -898,46 +559,26 @@ export default {
     270: [91, 92, 93, 94, 95, 96, 97, 98, 99],
     280: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
     290: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
-    300: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    300: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
     310: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
     320: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
-    330: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    330: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
     340: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
-    350: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
-    360: [
-      91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106,
-      107, 108,
-    ],
-    370: [
-      93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108,
-      109,
-    ],
-    380: [
-      92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107,
-      108, 109, 110, 111, 112,
-    ],
-    390: [
-      93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108,
-      109, 110, 111, 112, 113,
-    ],
-    400: [
-      92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107,
-      108, 109, 110, 111, 112, 113, 114, 115, 116, 117,
-    ],
-    410: [
-      93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108,
-      109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121,
-    ],
-    420: [
-      93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108,
-      109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123,
-      124, 125, 126, 127,
-    ],
-    430: [
-      99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113,
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128,
-      129,
-    ],
+    350: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    360: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    370: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    380: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    390: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    400: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    410: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    420: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    430: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
   },
   110: {
     0: [90, 91, 92],
@@ -976,38 +617,20 @@ export default {
     330: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
     340: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
     350: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
-    360: [
-      87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103,
-    ],
-    370: [
-      87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103,
-      104,
-    ],
-    380: [
-      86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102,
-      103, 104, 105, 106,
-    ],
-    390: [
-      86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102,
-      103, 104, 105, 106, 107, 108,
-    ],
-    400: [
-      85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102,
-      103, 104, 105, 106, 107, 108, 109, 110,
-    ],
-    410: [
-      84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101,
-      102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114,
-    ],
-    420: [
-      83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100,
-      101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115,
-      116, 117,
-    ],
-    430: [
-      90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106,
-      107, 108, 109, 110, 111, 112, 113, 114, 115,
-    ],
+    360: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    370: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    380: [86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    390: [86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    400: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    410: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    420: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    430: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
   },
   120: {
     0: [89, 90, 91],
@@ -1047,35 +670,13 @@ export default {
     340: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
     350: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
     360: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
-    370: [
-      81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98,
-      99,
-    ],
-    380: [
-      80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97,
-      98, 99, 100,
-    ],
-    390: [
-      79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96,
-      97, 98, 99, 100, 101,
-    ],
-    400: [
-      77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94,
-      95, 96, 97, 98, 99, 100, 101, 102, 103,
-    ],
-    410: [
-      75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92,
-      93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105,
-    ],
-    420: [
-      73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90,
-      91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106,
-      107,
-    ],
-    430: [
-      79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96,
-      97, 98, 99, 100, 101,
-    ],
+    370: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    380: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    390: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    400: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    410: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    420: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    430: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101]
   },
   130: {
     0: [88, 89, 90],
@@ -1115,33 +716,19 @@ export default {
     340: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
     350: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
     360: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
-    370: [
-      76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93,
-    ],
-    380: [
-      74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91,
-      92, 93, 94,
-    ],
-    390: [
-      72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89,
-      90, 91, 92, 93, 94,
-    ],
-    400: [
-      70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87,
-      88, 89, 90, 91, 92, 93, 94, 95,
-    ],
-    410: [
-      66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83,
-      84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96,
-    ],
-    420: [
-      63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80,
-      81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97,
-    ],
-    430: [
-      65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82,
-      83, 84, 85, 86, 87, 88, 89, 90,
-    ],
+    370: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    380: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94],
+    390: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94],
+    400: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    410: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    420: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    430: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
   },
   140: {
     0: [87, 88, 89],
@@ -1174,264 +761,183 @@ export default {
     270: [81, 82, 83, 84, 85, 86, 87, 88, 89],
     280: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     290: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
-    300: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    300: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     310: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     320: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
-    330: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    330: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     340: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
-    350: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
-    360: [
-      72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89,
-    ],
-    370: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87],
-    380: [
-      68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85,
-      86, 87, 88,
-    ],
-    390: [
-      67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84,
-      85, 86, 87,
-    ],
-    400: [
-      63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80,
-      81, 82, 83, 84, 85, 86, 87, 88,
-    ],
-    410: [
-      59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76,
-      77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87,
-    ],
-    420: [
-      53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70,
-      71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87,
-    ],
-    430: [
-      51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68,
-      69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81,
-    ],
+    350: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    360: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    370: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    380: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    390: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    400: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    410: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    430: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
   },
   150: {
-    0: [86, 87, 88],
-    10: [86, 87, 88],
-    20: [86, 87, 88],
-    30: [86, 87, 88],
-    40: [86, 87, 88],
-    50: [85, 86, 87, 88],
-    60: [85, 86, 87, 88],
-    70: [85, 86, 87, 88],
-    80: [85, 86, 87, 88],
-    90: [85, 86, 87, 88],
-    100: [84, 85, 86, 87, 88],
-    110: [84, 85, 86, 87, 88],
-    120: [84, 85, 86, 87, 88],
-    130: [84, 85, 86, 87, 88],
-    140: [83, 84, 85, 86, 87, 88],
-    150: [83, 84, 85, 86, 87, 88],
-    160: [83, 84, 85, 86, 87],
-    170: [83, 84, 85, 86, 87],
-    180: [82, 83, 84, 85, 86, 87],
-    190: [82, 83, 84, 85, 86, 87],
-    200: [82, 83, 84, 85, 86, 87],
-    210: [81, 82, 83, 84, 85, 86, 87],
-    220: [81, 82, 83, 84, 85, 86, 87],
-    230: [80, 81, 82, 83, 84, 85, 86, 87],
-    240: [80, 81, 82, 83, 84, 85, 86],
-    250: [79, 80, 81, 82, 83, 84, 85, 86, 87],
-    260: [79, 80, 81, 82, 83, 84, 85, 86],
-    270: [78, 79, 80, 81, 82, 83, 84, 85, 86],
-    280: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
-    290: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
-    300: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
-    310: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
-    320: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
-    330: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
-    340: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
-    350: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
-    360: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
-    370: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
-    380: [
-      63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80,
-      81, 82,
-    ],
-    390: [
-      61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78,
-      79, 80,
-    ],
-    400: [
-      56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73,
-      74, 75, 76, 77, 78, 79, 80, 81,
-    ],
-    410: [
-      53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70,
-      71, 72, 73, 74, 75, 76, 77, 78,
-    ],
-    420: [
-      45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62,
-      63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78,
-    ],
-    430: [
-      40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57,
-      58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73,
-    ],
-    440: [
-      37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54,
-      55, 56, 57, 58, 59, 60, 61, 62,
-    ],
+    0: [86, 87, 88, 89],
+    10: [86, 87, 88, 89],
+    20: [86, 87, 88, 89],
+    30: [86, 87, 88, 89],
+    40: [86, 87, 88, 89],
+    50: [85, 86, 87, 88, 89],
+    60: [85, 86, 87, 88, 89],
+    70: [85, 86, 87, 88, 89],
+    80: [85, 86, 87, 88, 89],
+    90: [85, 86, 87, 88, 89],
+    100: [84, 85, 86, 87, 88, 89],
+    110: [84, 85, 86, 87, 88, 89],
+    120: [84, 85, 86, 87, 88, 89],
+    130: [84, 85, 86, 87, 88, 89],
+    140: [83, 84, 85, 86, 87, 88, 89],
+    150: [83, 84, 85, 86, 87, 88, 89],
+    160: [83, 84, 85, 86, 87, 88, 89],
+    170: [83, 84, 85, 86, 87, 88, 89],
+    180: [82, 83, 84, 85, 86, 87, 88, 89],
+    190: [82, 83, 84, 85, 86, 87, 88, 89],
+    200: [82, 83, 84, 85, 86, 87, 88, 89],
+    210: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    220: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    230: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    240: [80, 81, 82, 83, 84, 85, 86, 88, 89],
+    250: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    260: [79, 80, 81, 82, 83, 84, 85, 86, 88, 89],
+    270: [78, 79, 80, 81, 82, 83, 84, 85, 86, 88, 89],
+    280: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 88, 89],
+    290: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 88, 89],
+    300: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 88, 89],
+    310: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    320: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 88, 89],
+    330: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 88, 89],
+    340: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 88, 89],
+    350: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    360: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    370: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    380: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    390: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    400: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    410: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    420: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    430: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 89],
+    440: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
   },
   160: {
     0: [85, 86, 87, 88],
-    10: [85, 86, 87],
-    20: [85, 86, 87],
-    30: [85, 86, 87],
-    40: [85, 86, 87],
-    50: [84, 85, 86, 87],
-    60: [84, 85, 86, 87],
-    70: [84, 85, 86, 87],
-    80: [84, 85, 86, 87],
-    90: [83, 84, 85, 86, 87],
-    100: [83, 84, 85, 86, 87],
-    110: [83, 84, 85, 86, 87],
-    120: [83, 84, 85, 86],
-    130: [82, 83, 84, 85, 86],
-    140: [82, 83, 84, 85, 86],
-    150: [82, 83, 84, 85, 86],
-    160: [81, 82, 83, 84, 85, 86],
-    170: [81, 82, 83, 84, 85, 86],
-    180: [81, 82, 83, 84, 85, 86],
-    190: [80, 81, 82, 83, 84, 85, 86],
-    200: [80, 81, 82, 83, 84, 85],
-    210: [79, 80, 81, 82, 83, 84, 85],
-    220: [79, 80, 81, 82, 83, 84, 85],
-    230: [78, 79, 80, 81, 82, 83, 84, 85],
-    240: [78, 79, 80, 81, 82, 83, 84],
-    250: [77, 78, 79, 80, 81, 82, 83, 84],
-    260: [76, 77, 78, 79, 80, 81, 82, 83, 84],
-    270: [76, 77, 78, 79, 80, 81, 82, 83],
-    280: [75, 76, 77, 78, 79, 80, 81, 82, 83],
-    290: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
-    300: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
-    310: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
-    320: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
-    330: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
-    340: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
-    350: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
-    360: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
-    370: [
-      61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78,
-    ],
-    380: [
-      58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75,
-      76, 77,
-    ],
-    390: [
-      55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72,
-      73, 74, 75,
-    ],
-    400: [
-      51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68,
-      69, 70, 71, 72, 73,
-    ],
-    410: [
-      46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63,
-      64, 65, 66, 67, 68, 69, 70, 71,
-    ],
-    420: [
-      40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57,
-      58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68,
-    ],
-    430: [
-      32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49,
-      50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65,
-    ],
-    440: [
-      25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42,
-      43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58,
-    ],
-    450: [
-      19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
-      37, 38, 39, 40, 41, 42, 43, 44, 45, 46,
-    ],
-    460: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27],
+    10: [85, 86, 87, 88],
+    20: [85, 86, 87, 88],
+    30: [85, 86, 87, 88],
+    40: [85, 86, 87, 88],
+    50: [84, 85, 86, 87, 88],
+    60: [84, 85, 86, 87, 88],
+    70: [84, 85, 86, 87, 88],
+    80: [84, 85, 86, 87, 88],
+    90: [83, 84, 85, 86, 87, 88],
+    100: [83, 84, 85, 86, 87, 88],
+    110: [83, 84, 85, 86, 87, 88],
+    120: [83, 84, 85, 86, 88],
+    130: [82, 83, 84, 85, 86, 88],
+    140: [82, 83, 84, 85, 86, 88],
+    150: [82, 83, 84, 85, 86, 88],
+    160: [81, 82, 83, 84, 85, 86, 88],
+    170: [81, 82, 83, 84, 85, 86, 88],
+    180: [81, 82, 83, 84, 85, 86, 88],
+    190: [80, 81, 82, 83, 84, 85, 86, 88],
+    200: [80, 81, 82, 83, 84, 85, 88],
+    210: [79, 80, 81, 82, 83, 84, 85, 88, 89],
+    220: [79, 80, 81, 82, 83, 84, 85, 88, 89],
+    230: [78, 79, 80, 81, 82, 83, 84, 85, 88, 89],
+    240: [78, 79, 80, 81, 82, 83, 84, 88, 89],
+    250: [77, 78, 79, 80, 81, 82, 83, 84, 88, 89],
+    260: [76, 77, 78, 79, 80, 81, 82, 83, 84, 88, 89],
+    270: [76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    280: [75, 76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    290: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    300: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    310: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 88, 89],
+    320: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88, 89],
+    330: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88, 89],
+    340: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88, 89],
+    350: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88, 89],
+    360: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 88, 89],
+    370: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88, 89],
+    380: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 88, 89],
+    390: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 88, 89],
+    400: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88, 89],
+    410: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 88, 89],
+    420: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88, 89],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 88, 89],
+    440: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 88, 89],
+    450: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 88, 89],
+    460: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 88, 89],
+    470: [88, 89],
+    480: [88, 89],
+    490: [88, 89]
   },
   170: {
-    0: [84, 85, 86, 87],
-    10: [84, 85, 86, 87],
-    20: [84, 85, 86, 87],
-    30: [84, 85, 86, 87],
-    40: [83, 84, 85, 86, 87],
-    50: [83, 84, 85, 86, 87],
-    60: [83, 84, 85, 86, 87],
-    70: [83, 84, 85, 86, 87],
-    80: [82, 83, 84, 85, 86, 87],
-    90: [82, 83, 84, 85, 86, 87],
-    100: [82, 83, 84, 85, 87],
-    110: [81, 82, 83, 84, 85, 87],
-    120: [81, 82, 83, 84, 85, 87],
-    130: [81, 82, 83, 84, 85, 87],
-    140: [80, 81, 82, 83, 84, 85, 87],
-    150: [80, 81, 82, 83, 84, 87],
-    160: [80, 81, 82, 83, 84, 87],
-    170: [79, 80, 81, 82, 83, 84, 87],
-    180: [79, 80, 81, 82, 83, 84, 87],
-    190: [78, 79, 80, 81, 82, 83, 84, 87],
-    200: [78, 79, 80, 81, 82, 83, 87],
-    210: [77, 78, 79, 80, 81, 82, 83, 87],
-    220: [77, 78, 79, 80, 81, 82, 83],
-    230: [76, 77, 78, 79, 80, 81, 82, 83],
-    240: [76, 77, 78, 79, 80, 81, 82],
-    250: [75, 76, 77, 78, 79, 80, 81, 82],
-    260: [74, 75, 76, 77, 78, 79, 80, 81],
-    270: [73, 74, 75, 76, 77, 78, 79, 80, 81],
-    280: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
-    290: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
-    300: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
-    310: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
-    320: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
-    330: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
-    340: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
-    350: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
-    360: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
-    370: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
-    380: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
-    390: [
-      50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67,
-      68, 69, 70,
-    ],
-    400: [
-      47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64,
-      65, 66,
-    ],
-    410: [
-      41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58,
-      59, 60, 61, 62, 63, 64, 65,
-    ],
-    420: [
-      36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53,
-      54, 55, 56, 57, 58, 59, 60, 61,
-    ],
-    430: [
-      28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45,
-      46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56,
-    ],
-    440: [
-      19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
-      37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52,
-    ],
-    450: [
-      10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27,
-      28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44,
-    ],
-    460: [
-      1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21,
-      22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 352, 353, 354, 355, 356, 357, 358, 359,
-    ],
-    480: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 352, 353, 354, 355, 356, 357, 358, 359,
-    ],
-    490: [0, 352, 353, 354, 355, 356, 357, 358, 359],
+    0: [84, 85, 86, 87, 88],
+    10: [84, 85, 86, 87, 88],
+    20: [84, 85, 86, 87, 88],
+    30: [84, 85, 86, 87, 88],
+    40: [83, 84, 85, 86, 87, 88],
+    50: [83, 84, 85, 86, 87, 88],
+    60: [83, 84, 85, 86, 87, 88],
+    70: [83, 84, 85, 86, 87, 88],
+    80: [82, 83, 84, 85, 86, 87, 88],
+    90: [82, 83, 84, 85, 86, 87, 88],
+    100: [82, 83, 84, 85, 87, 88],
+    110: [81, 82, 83, 84, 85, 87, 88],
+    120: [81, 82, 83, 84, 85, 87, 88],
+    130: [81, 82, 83, 84, 85, 87, 88],
+    140: [80, 81, 82, 83, 84, 85, 87, 88],
+    150: [80, 81, 82, 83, 84, 87, 88],
+    160: [80, 81, 82, 83, 84, 87, 88],
+    170: [79, 80, 81, 82, 83, 84, 87, 88],
+    180: [79, 80, 81, 82, 83, 84, 87, 88],
+    190: [78, 79, 80, 81, 82, 83, 84, 87, 88],
+    200: [78, 79, 80, 81, 82, 83, 87, 88],
+    210: [77, 78, 79, 80, 81, 82, 83, 87, 88],
+    220: [77, 78, 79, 80, 81, 82, 83, 88],
+    230: [76, 77, 78, 79, 80, 81, 82, 83, 88],
+    240: [76, 77, 78, 79, 80, 81, 82, 88],
+    250: [75, 76, 77, 78, 79, 80, 81, 82, 88],
+    260: [74, 75, 76, 77, 78, 79, 80, 81, 88],
+    270: [73, 74, 75, 76, 77, 78, 79, 80, 81, 88],
+    280: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88],
+    290: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88],
+    300: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88],
+    310: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 88],
+    320: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    330: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    340: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    350: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    360: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    370: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88],
+    380: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    390: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    400: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 88],
+    410: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 88],
+    420: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 88],
+    430: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 88],
+    440: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 88],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 88],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [88]
   },
   180: {
     0: [84, 85, 86, 87],
@@ -1445,81 +951,46 @@ export default {
     80: [81, 82, 83, 84, 87],
     90: [81, 82, 83, 84, 87],
     100: [81, 82, 83, 84, 87],
-    110: [80, 81, 82, 83, 84, 87],
-    120: [80, 81, 82, 83, 84, 87],
-    130: [79, 80, 81, 82, 83, 87],
-    140: [79, 80, 81, 82, 83, 87],
-    150: [79, 80, 81, 82, 83, 87],
-    160: [78, 79, 80, 81, 82, 83, 87],
-    170: [78, 79, 80, 81, 82, 83, 87],
-    180: [77, 78, 79, 80, 81, 82, 87],
-    190: [77, 78, 79, 80, 81, 82, 87],
-    200: [76, 77, 78, 79, 80, 81, 82, 87],
-    210: [75, 76, 77, 78, 79, 80, 81, 87],
-    220: [75, 76, 77, 78, 79, 80, 81, 87],
-    230: [74, 75, 76, 77, 78, 79, 80, 87],
-    240: [73, 74, 75, 76, 77, 78, 79, 80, 87],
-    250: [73, 74, 75, 76, 77, 78, 79, 80, 87],
-    260: [72, 73, 74, 75, 76, 77, 78, 79, 87],
-    270: [71, 72, 73, 74, 75, 76, 77, 78, 79, 87],
-    280: [70, 71, 72, 73, 74, 75, 76, 77, 78, 87],
-    290: [69, 70, 71, 72, 73, 74, 75, 76, 77, 87],
-    300: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 87],
-    310: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 87],
-    320: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 87],
-    330: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 87],
-    340: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 87],
-    350: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 87],
-    360: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87],
-    370: [
-      53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 87,
-    ],
-    380: [
-      50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67,
-      87,
-    ],
-    390: [
-      46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63,
-      64, 87,
-    ],
-    400: [
-      42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59,
-      60, 61, 62, 87,
-    ],
-    410: [
-      38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55,
-      56, 57, 58, 87,
-    ],
-    420: [
-      31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48,
-      49, 50, 51, 52, 53, 54, 55, 87,
-    ],
-    430: [
-      25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42,
-      43, 44, 45, 46, 47, 48, 49, 50, 87,
-    ],
-    440: [
-      18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35,
-      36, 37, 38, 39, 40, 41, 42, 43, 87,
-    ],
-    450: [
-      8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26,
-      27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 87,
-    ],
-    460: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 87, 358, 359,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 87, 352, 353, 354, 355, 356, 357, 358, 359,
-    ],
-    480: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 87, 352, 353, 354, 355, 356,
-      357, 358, 359,
-    ],
-    490: [0, 1, 2, 3, 352, 353, 354, 355, 356, 357, 358, 359],
-    500: [352, 353],
+    110: [80, 81, 82, 83, 84, 87, 88],
+    120: [80, 81, 82, 83, 84, 87, 88],
+    130: [79, 80, 81, 82, 83, 87, 88],
+    140: [79, 80, 81, 82, 83, 87, 88],
+    150: [79, 80, 81, 82, 83, 87, 88],
+    160: [78, 79, 80, 81, 82, 83, 87, 88],
+    170: [78, 79, 80, 81, 82, 83, 87, 88],
+    180: [77, 78, 79, 80, 81, 82, 87, 88],
+    190: [77, 78, 79, 80, 81, 82, 87, 88],
+    200: [76, 77, 78, 79, 80, 81, 82, 87, 88],
+    210: [75, 76, 77, 78, 79, 80, 81, 87, 88],
+    220: [75, 76, 77, 78, 79, 80, 81, 87, 88],
+    230: [74, 75, 76, 77, 78, 79, 80, 87, 88],
+    240: [73, 74, 75, 76, 77, 78, 79, 80, 87, 88],
+    250: [73, 74, 75, 76, 77, 78, 79, 80, 87, 88],
+    260: [72, 73, 74, 75, 76, 77, 78, 79, 87, 88],
+    270: [71, 72, 73, 74, 75, 76, 77, 78, 79, 87, 88],
+    280: [70, 71, 72, 73, 74, 75, 76, 77, 78, 87, 88],
+    290: [69, 70, 71, 72, 73, 74, 75, 76, 77, 87, 88],
+    300: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 87, 88],
+    310: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 87, 88],
+    320: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 87, 88],
+    330: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 87, 88],
+    340: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 87, 88],
+    350: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 87, 88],
+    360: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87, 88],
+    370: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 87, 88],
+    380: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 87, 88],
+    390: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 87, 88],
+    400: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87, 88],
+    410: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 87, 88],
+    420: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 87, 88],
+    430: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 87, 88],
+    440: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 87, 88],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 87, 88],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 87, 88, 358, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 87, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 87, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 1, 2, 3, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [352, 353]
   },
   190: {
     0: [83, 84, 85, 86, 87],
@@ -1560,48 +1031,18 @@ export default {
     350: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 87],
     360: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 87],
     370: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 87],
-    380: [
-      46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87,
-    ],
-    390: [
-      43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87,
-    ],
-    400: [
-      38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55,
-      56, 57, 87,
-    ],
-    410: [
-      34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51,
-      52, 53, 54, 87,
-    ],
-    420: [
-      29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46,
-      47, 48, 87,
-    ],
-    430: [
-      21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38,
-      39, 40, 41, 42, 43, 44, 45, 87,
-    ],
-    440: [
-      15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32,
-      33, 34, 35, 36, 37, 38, 39, 40, 87,
-    ],
-    450: [
-      8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26,
-      27, 28, 29, 30, 31, 32, 33, 87,
-    ],
-    460: [
-      1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21,
-      22, 23, 24, 25, 87,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 87, 352,
-      353, 354, 355, 356, 357, 358, 359,
-    ],
-    480: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 87, 352, 353, 354, 355, 356, 357, 358, 359,
-    ],
-    490: [0, 352, 353, 354, 355, 356, 357, 358, 359],
+    380: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87],
+    390: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
+    400: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 87],
+    410: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 87],
+    420: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 87],
+    430: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 87],
+    440: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 87],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 87],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 87, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 87, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 352, 353, 354, 355, 356, 357, 358, 359]
   },
   200: {
     0: [82, 83, 84, 86],
@@ -1643,44 +1084,18 @@ export default {
     360: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 86, 87],
     370: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 86, 87],
     380: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 86, 87],
-    390: [
-      39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56,
-      86, 87,
-    ],
-    400: [
-      36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 87,
-    ],
-    410: [
-      31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48,
-      49, 87,
-    ],
-    420: [
-      25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42,
-      43, 44, 45, 87,
-    ],
-    430: [
-      21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38,
-      39, 40, 87,
-    ],
-    440: [
-      14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31,
-      32, 33, 34, 35, 87,
-    ],
-    450: [
-      6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24,
-      25, 26, 27, 28, 29, 30, 87,
-    ],
-    460: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 87, 359,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 87, 355,
-      356, 357, 358, 359,
-    ],
+    390: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 86, 87],
+    400: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 87],
+    410: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 87],
+    420: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 87],
+    430: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 87],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 87],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 87],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 87, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 87, 355, 356, 357, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 87, 355, 356, 357, 358, 359],
     490: [0, 1, 2, 355, 356, 357, 358, 359],
-    500: [355],
+    500: [355]
   },
   210: {
     0: [81, 82, 83, 85],
@@ -1723,40 +1138,16 @@ export default {
     370: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 86],
     380: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 86, 87],
     390: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 86, 87],
-    400: [
-      33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 86,
-      87,
-    ],
-    410: [
-      29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 86,
-      87,
-    ],
-    420: [
-      24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41,
-      86, 87,
-    ],
-    430: [
-      18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35,
-      36, 37, 86, 87,
-    ],
-    440: [
-      12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29,
-      30, 31, 32, 86, 87,
-    ],
-    450: [
-      7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25,
-      26, 86, 87,
-    ],
-    460: [
-      1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 86,
-      87,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 86, 87, 355, 356, 357, 358,
-      359,
-    ],
+    400: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 86, 87],
+    410: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 86, 87],
+    420: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 86, 87],
+    430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 86, 87],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 86, 87],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 86, 87],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 86, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 86, 87, 355, 356, 357, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 6, 7, 86, 87, 355, 356, 357, 358, 359],
-    490: [0, 1, 355, 356, 357, 358, 359],
+    490: [0, 1, 355, 356, 357, 358, 359]
   },
   220: {
     0: [80, 81, 82, 85],
@@ -1800,30 +1191,16 @@ export default {
     380: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 86],
     390: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 86],
     400: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 86],
-    410: [
-      26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 86,
-    ],
-    420: [
-      22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 86,
-    ],
+    410: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 86],
+    420: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 86],
     430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 86],
-    440: [
-      12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29,
-      86,
-    ],
-    450: [
-      6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24,
-      86,
-    ],
-    460: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 86,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 86, 356, 357, 358, 359,
-    ],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 86],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 86],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 86, 356, 357, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 86, 356, 357, 358, 359],
     490: [0, 1, 2, 356, 357, 358, 359],
-    500: [356],
+    500: [356]
   },
   230: {
     0: [79, 80, 81, 82, 84],
@@ -1868,25 +1245,15 @@ export default {
     390: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 85, 86],
     400: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 85, 86],
     410: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 85, 86],
-    420: [
-      20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 85, 86,
-    ],
-    430: [
-      15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32,
-      85, 86,
-    ],
-    440: [
-      11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 85,
-      86,
-    ],
-    450: [
-      6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 85, 86,
-    ],
+    420: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 85, 86],
+    430: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 85, 86],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 85, 86],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 85, 86],
     460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 85, 86],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 85, 86, 356, 357, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 6, 85, 86, 356, 357, 358, 359],
     490: [0, 1, 356, 357, 358, 359],
-    500: [357],
+    500: [357]
   },
   240: {
     0: [79, 80, 81, 83, 84],
@@ -1939,7 +1306,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 85, 357, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 6, 7, 85, 357, 358, 359],
     490: [0, 1, 2, 85, 357, 358, 359],
-    500: [357],
+    500: [357]
   },
   250: {
     0: [78, 79, 80, 83],
@@ -1992,7 +1359,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 85, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 6, 85, 357, 358, 359],
     490: [0, 1, 2, 85, 357, 358, 359],
-    500: [358],
+    500: [358]
   },
   260: {
     0: [77, 78, 79, 82, 83],
@@ -2045,7 +1412,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 84, 85, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 6, 84, 85, 358, 359],
     490: [0, 1, 2, 84, 358, 359],
-    500: [358],
+    500: [358]
   },
   270: {
     0: [76, 77, 78, 82],
@@ -2098,7 +1465,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 84, 359],
     480: [0, 1, 2, 3, 4, 5, 6, 84, 358, 359],
     490: [0, 1, 2, 84, 358, 359],
-    500: [359],
+    500: [359]
   },
   280: {
     0: [75, 76, 77],
@@ -2151,7 +1518,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 83, 84, 359],
     480: [0, 1, 2, 3, 4, 5, 6, 83, 84, 359],
     490: [0, 1, 2, 3, 84, 359],
-    500: [359],
+    500: [359]
   },
   290: {
     0: [75, 76, 77, 81],
@@ -2204,7 +1571,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 83],
     480: [0, 1, 2, 3, 4, 5, 6, 83, 359],
     490: [0, 1, 2, 3, 83, 359],
-    500: [0],
+    500: [0]
   },
   300: {
     0: [74, 75, 76, 80],
@@ -2256,7 +1623,7 @@ export default {
     460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 83],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 83],
     480: [0, 1, 2, 3, 4, 5, 6, 83],
-    490: [0, 1, 2, 3, 83],
+    490: [0, 1, 2, 3, 83]
   },
   310: {
     0: [73, 74, 75, 80],
@@ -2308,7 +1675,7 @@ export default {
     460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 82, 83],
     470: [1, 2, 3, 4, 5, 6, 7, 8, 9, 82, 83],
     480: [0, 1, 2, 3, 4, 5, 6, 82, 83],
-    490: [0, 1, 2, 3, 82],
+    490: [0, 1, 2, 3, 82]
   },
   320: {
     0: [73, 74],
@@ -2361,7 +1728,7 @@ export default {
     470: [1, 2, 3, 4, 5, 6, 7, 8, 82],
     480: [1, 2, 3, 4, 5, 6, 82],
     490: [1, 2, 3, 82],
-    500: [82],
+    500: [82]
   },
   330: {
     0: [72, 73],
@@ -2414,7 +1781,7 @@ export default {
     470: [1, 2, 3, 4, 5, 6, 7, 8, 9, 81, 82],
     480: [1, 2, 3, 4, 5, 6, 81, 82],
     490: [1, 2, 3, 4, 82],
-    500: [1],
+    500: [1]
   },
   340: {
     0: [72, 73, 78],
@@ -2466,7 +1833,7 @@ export default {
     460: [4, 5, 6, 7, 8, 9, 10, 11, 81],
     470: [1, 2, 3, 4, 5, 6, 7, 8, 9, 81],
     480: [1, 2, 3, 4, 5, 6, 81],
-    490: [1, 2, 3, 81],
+    490: [1, 2, 3, 81]
   },
   350: {
     0: [71, 72],
@@ -2518,7 +1885,7 @@ export default {
     460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 80, 81],
     470: [2, 3, 4, 5, 6, 7, 8, 9, 81],
     480: [2, 3, 4, 5, 6, 81],
-    490: [2, 3, 4],
+    490: [2, 3, 4]
   },
   360: {
     0: [70, 71],
@@ -2570,7 +1937,7 @@ export default {
     460: [4, 5, 6, 7, 8, 9, 10, 11, 80, 81],
     470: [2, 3, 4, 5, 6, 7, 8, 9, 80, 81],
     480: [2, 3, 4, 5, 6, 80],
-    490: [2, 3, 4, 80],
+    490: [2, 3, 4, 80]
   },
   370: {
     0: [70],
@@ -2622,7 +1989,7 @@ export default {
     460: [4, 5, 6, 7, 8, 9, 10, 11, 80],
     470: [3, 4, 5, 6, 7, 8, 9, 80],
     480: [3, 4, 5, 6, 7, 80],
-    490: [3, 4, 80],
+    490: [3, 4, 80]
   },
   380: {
     0: [70],
@@ -2674,7 +2041,7 @@ export default {
     460: [4, 5, 6, 7, 8, 9, 10, 11, 79, 80],
     470: [3, 4, 5, 6, 7, 8, 9, 79, 80],
     480: [3, 4, 5, 6, 7, 79, 80],
-    490: [3, 4, 5, 79],
+    490: [3, 4, 5, 79]
   },
   390: {
     0: [69],
@@ -2726,7 +2093,7 @@ export default {
     460: [5, 6, 7, 8, 9, 10, 11, 79],
     470: [3, 4, 5, 6, 7, 8, 9, 79],
     480: [3, 4, 5, 6, 7, 79],
-    490: [3, 4, 79],
+    490: [3, 4, 79]
   },
   400: {
     10: [68, 69, 74],
@@ -2777,7 +2144,7 @@ export default {
     460: [5, 6, 7, 8, 9, 10, 11, 78, 79],
     470: [4, 5, 6, 7, 8, 9, 78, 79],
     480: [3, 4, 5, 6, 7, 78, 79],
-    490: [3, 4, 5, 79],
+    490: [3, 4, 5, 79]
   },
   410: {
     10: [67, 68, 74],
@@ -2828,7 +2195,7 @@ export default {
     460: [5, 6, 7, 8, 9, 10, 11, 78],
     470: [4, 5, 6, 7, 8, 9, 78],
     480: [4, 5, 6, 7, 78, 79],
-    490: [4, 5],
+    490: [4, 5]
   },
   420: {
     10: [67, 68, 73],
@@ -2880,7 +2247,7 @@ export default {
     470: [4, 5, 6, 7, 8, 9, 78],
     480: [4, 5, 6, 7, 78],
     490: [4, 5],
-    500: [4],
+    500: [4]
   },
   430: {
     10: [67, 72],
@@ -2931,7 +2298,7 @@ export default {
     460: [6, 7, 8, 9, 10, 11, 77, 78],
     470: [4, 5, 6, 7, 8, 9, 77, 78],
     480: [4, 5, 6, 7, 8, 77, 78],
-    490: [4, 5, 6, 77],
+    490: [4, 5, 6, 77]
   },
   440: {
     10: [66],
@@ -2982,7 +2349,7 @@ export default {
     460: [6, 7, 8, 9, 10, 11, 77],
     470: [5, 6, 7, 8, 9, 77],
     480: [5, 6, 7, 77],
-    490: [5, 6, 77],
+    490: [5, 6, 77]
   },
   450: {
     10: [66],
@@ -3033,7 +2400,7 @@ export default {
     460: [6, 7, 8, 9, 10, 11, 76, 77],
     470: [5, 6, 7, 8, 9, 10, 76, 77],
     480: [5, 6, 7, 8, 76, 77],
-    490: [5, 6, 76, 77],
+    490: [5, 6, 76, 77]
   },
   460: {
     20: [65, 66, 69, 70, 71],
@@ -3046,7 +2413,7 @@ export default {
     90: [57, 58, 59, 60, 72, 73],
     100: [56, 57, 58, 59, 72, 73],
     110: [55, 56, 57, 58, 72, 73],
-    120: [54, 55, 56, 57, 73, 74],
+    120: [54, 55, 56, 57, 72, 73, 74],
     130: [53, 54, 55, 56, 73, 74],
     140: [52, 53, 54, 55, 73, 74],
     150: [51, 52, 53, 54, 73, 74],
@@ -3084,7 +2451,7 @@ export default {
     470: [5, 6, 7, 8, 9, 10, 76],
     480: [5, 6, 7, 8, 76],
     490: [5, 6, 76],
-    500: [76],
+    500: [76]
   },
   470: {
     20: [65, 69, 70],
@@ -3098,9 +2465,9 @@ export default {
     100: [56, 57, 58, 59, 71, 72, 73],
     110: [55, 56, 57, 58, 72, 73],
     120: [54, 55, 56, 57, 72, 73],
-    130: [53, 54, 55, 56, 73],
-    140: [52, 53, 54, 55, 73],
-    150: [51, 52, 53, 54, 73],
+    130: [53, 54, 55, 56, 72, 73],
+    140: [52, 53, 54, 55, 72, 73],
+    150: [51, 52, 53, 54, 72, 73],
     160: [49, 50, 51, 52, 53, 73, 74],
     170: [48, 49, 50, 51, 52, 73, 74],
     180: [47, 48, 49, 50, 51, 73, 74],
@@ -3135,7 +2502,7 @@ export default {
     470: [6, 7, 8, 9, 10, 75, 76],
     480: [5, 6, 7, 8, 75, 76],
     490: [6, 7, 76],
-    500: [76],
+    500: [76]
   },
   480: {
     20: [65, 68, 69],
@@ -3149,12 +2516,12 @@ export default {
     100: [55, 56, 57, 58, 71, 72],
     110: [54, 55, 56, 57, 71, 72],
     120: [53, 54, 55, 56, 71, 72],
-    130: [52, 53, 54, 55, 71, 73],
-    140: [51, 52, 53, 54, 73],
-    150: [50, 51, 52, 53, 73],
-    160: [49, 50, 51, 52, 73],
-    170: [48, 49, 50, 51, 73],
-    180: [47, 48, 49, 50, 73],
+    130: [52, 53, 54, 55, 71, 72, 73],
+    140: [51, 52, 53, 54, 72, 73],
+    150: [50, 51, 52, 53, 72, 73],
+    160: [49, 50, 51, 52, 72, 73],
+    170: [48, 49, 50, 51, 72, 73],
+    180: [47, 48, 49, 50, 72, 73],
     190: [46, 47, 48, 49, 73, 74],
     200: [45, 46, 47, 48, 73, 74],
     210: [43, 44, 45, 46, 47, 73, 74],
@@ -3185,7 +2552,7 @@ export default {
     460: [7, 8, 9, 10, 11, 12, 75],
     470: [6, 7, 8, 9, 10, 75, 76],
     480: [6, 7, 8, 9, 75, 76],
-    490: [6, 7, 75, 76],
+    490: [6, 7, 75, 76]
   },
   490: {
     20: [65, 67],
@@ -3198,17 +2565,17 @@ export default {
     90: [56, 57, 58, 59, 70, 71],
     100: [55, 56, 57, 58, 70, 71],
     110: [54, 55, 56, 57, 70, 71, 72],
-    120: [53, 54, 55, 56, 71],
-    130: [52, 53, 54, 55, 71],
-    140: [51, 52, 53, 54, 71],
-    150: [50, 51, 52, 53, 71],
-    160: [49, 50, 51, 52, 73],
-    170: [48, 49, 50, 51, 73],
-    180: [46, 47, 48, 49, 50, 73],
-    190: [45, 46, 47, 48, 49, 73],
-    200: [44, 45, 46, 47, 73],
-    210: [43, 44, 45, 46, 73],
-    220: [42, 43, 44, 45, 73],
+    120: [53, 54, 55, 56, 71, 72],
+    130: [52, 53, 54, 55, 71, 72],
+    140: [51, 52, 53, 54, 71, 72],
+    150: [50, 51, 52, 53, 71, 72],
+    160: [49, 50, 51, 52, 72, 73],
+    170: [48, 49, 50, 51, 72, 73],
+    180: [46, 47, 48, 49, 50, 72, 73],
+    190: [45, 46, 47, 48, 49, 72, 73],
+    200: [44, 45, 46, 47, 72, 73],
+    210: [43, 44, 45, 46, 72, 73],
+    220: [42, 43, 44, 45, 72, 73],
     230: [41, 42, 43, 44, 73],
     240: [39, 40, 41, 42, 43, 73, 74],
     250: [38, 39, 40, 41, 42, 73, 74],
@@ -3235,7 +2602,7 @@ export default {
     460: [7, 8, 9, 10, 11, 12, 74, 75],
     470: [6, 7, 8, 9, 10, 75],
     480: [6, 7, 8, 75],
-    490: [6, 7, 75],
+    490: [6, 7, 75]
   },
   500: {
     30: [63, 64, 65, 66, 67, 68],
@@ -3248,20 +2615,20 @@ export default {
     100: [55, 56, 57, 58, 69, 70, 71],
     110: [54, 55, 56, 57, 70, 71],
     120: [53, 54, 55, 56, 70, 71],
-    130: [51, 52, 53, 54, 70, 71],
-    140: [50, 51, 52, 53, 70, 71],
-    150: [49, 50, 51, 52, 71],
-    160: [48, 49, 50, 51, 71],
-    170: [47, 48, 49, 50, 71],
-    180: [46, 47, 48, 49, 71],
-    190: [45, 46, 47, 48, 71],
-    200: [44, 45, 46, 47, 73],
-    210: [43, 44, 45, 46, 73],
-    220: [41, 42, 43, 44, 45, 73],
-    230: [40, 41, 42, 43, 44, 73],
-    240: [39, 40, 41, 42, 73],
-    250: [38, 39, 40, 41, 73],
-    260: [37, 38, 39, 40, 73],
+    130: [51, 52, 53, 54, 70, 71, 72],
+    140: [50, 51, 52, 53, 70, 71, 72],
+    150: [49, 50, 51, 52, 71, 72],
+    160: [48, 49, 50, 51, 71, 72],
+    170: [47, 48, 49, 50, 71, 72],
+    180: [46, 47, 48, 49, 71, 72],
+    190: [45, 46, 47, 48, 71, 72],
+    200: [44, 45, 46, 47, 72, 73],
+    210: [43, 44, 45, 46, 72, 73],
+    220: [41, 42, 43, 44, 45, 72, 73],
+    230: [40, 41, 42, 43, 44, 72, 73],
+    240: [39, 40, 41, 42, 72, 73],
+    250: [38, 39, 40, 41, 72, 73],
+    260: [37, 38, 39, 40, 72, 73],
     270: [35, 36, 37, 38, 39, 73],
     280: [34, 35, 36, 37, 38, 73],
     290: [33, 34, 35, 36, 73],
@@ -3284,7 +2651,7 @@ export default {
     460: [7, 8, 9, 10, 11, 12, 74, 75],
     470: [7, 8, 9, 10, 74, 75],
     480: [6, 7, 8, 9, 74, 75],
-    490: [6, 7, 74],
+    490: [6, 7, 74]
   },
   510: {
     30: [63, 64, 65, 66, 67],
@@ -3301,21 +2668,21 @@ export default {
     140: [50, 51, 52, 53, 70, 71],
     150: [49, 50, 51, 52, 70, 71],
     160: [48, 49, 50, 51, 70, 71],
-    170: [47, 48, 49, 50, 71],
-    180: [46, 47, 48, 49, 71],
-    190: [45, 46, 47, 48, 71],
-    200: [43, 44, 45, 46, 47, 71],
-    210: [42, 43, 44, 45, 46, 71],
-    220: [41, 42, 43, 44, 71],
-    230: [40, 41, 42, 43],
-    240: [39, 40, 41, 42, 73],
-    250: [37, 38, 39, 40, 41, 73],
-    260: [36, 37, 38, 39, 40, 73],
-    270: [35, 36, 37, 38, 39, 73],
-    280: [34, 35, 36, 37, 73],
-    290: [32, 33, 34, 35, 36, 73],
-    300: [31, 32, 33, 34, 35, 73],
-    310: [30, 31, 32, 33, 73],
+    170: [47, 48, 49, 50, 71, 72],
+    180: [46, 47, 48, 49, 71, 72],
+    190: [45, 46, 47, 48, 71, 72],
+    200: [43, 44, 45, 46, 47, 71, 72],
+    210: [42, 43, 44, 45, 46, 71, 72],
+    220: [41, 42, 43, 44, 71, 72],
+    230: [40, 41, 42, 43, 72],
+    240: [39, 40, 41, 42, 72, 73],
+    250: [37, 38, 39, 40, 41, 72, 73],
+    260: [36, 37, 38, 39, 40, 72, 73],
+    270: [35, 36, 37, 38, 39, 72, 73],
+    280: [34, 35, 36, 37, 72, 73],
+    290: [32, 33, 34, 35, 36, 72, 73],
+    300: [31, 32, 33, 34, 35, 72, 73],
+    310: [30, 31, 32, 33, 72, 73],
     320: [28, 29, 30, 31, 32, 73],
     330: [27, 28, 29, 30, 31, 73],
     340: [25, 26, 27, 28, 29, 73],
@@ -3334,7 +2701,7 @@ export default {
     470: [7, 8, 9, 10, 11, 74],
     480: [7, 8, 9, 74],
     490: [7, 8, 74],
-    500: [74],
+    500: [74]
   },
   520: {
     30: [64, 65],
@@ -3354,24 +2721,24 @@ export default {
     170: [47, 48, 49, 50, 70, 71],
     180: [45, 46, 47, 48, 70, 71],
     190: [44, 45, 46, 47, 70, 71],
-    200: [43, 44, 45, 46, 71],
-    210: [42, 43, 44, 45, 71],
-    220: [41, 42, 43, 44, 71],
-    230: [40, 41, 42, 43, 71],
-    240: [38, 39, 40, 41, 42, 71],
-    250: [37, 38, 39, 40, 41, 71],
-    260: [36, 37, 38, 39, 71],
-    270: [35, 36, 37, 38],
-    280: [33, 34, 35, 36, 37],
-    290: [32, 33, 34, 35, 36, 73],
-    300: [31, 32, 33, 34, 73],
-    310: [30, 31, 32, 33, 73],
-    320: [28, 29, 30, 31, 32, 73],
-    330: [27, 28, 29, 30, 31, 73],
-    340: [26, 27, 28, 29, 73],
-    350: [24, 25, 26, 27, 28, 73],
-    360: [23, 24, 25, 26, 27, 73],
-    370: [21, 22, 23, 24, 25, 73],
+    200: [43, 44, 45, 46, 71, 72],
+    210: [42, 43, 44, 45, 71, 72],
+    220: [41, 42, 43, 44, 71, 72],
+    230: [40, 41, 42, 43, 71, 72],
+    240: [38, 39, 40, 41, 42, 71, 72],
+    250: [37, 38, 39, 40, 41, 71, 72],
+    260: [36, 37, 38, 39, 71, 72],
+    270: [35, 36, 37, 38, 72],
+    280: [33, 34, 35, 36, 37, 72],
+    290: [32, 33, 34, 35, 36, 72, 73],
+    300: [31, 32, 33, 34, 72, 73],
+    310: [30, 31, 32, 33, 72, 73],
+    320: [28, 29, 30, 31, 32, 72, 73],
+    330: [27, 28, 29, 30, 31, 72, 73],
+    340: [26, 27, 28, 29, 72, 73],
+    350: [24, 25, 26, 27, 28, 72, 73],
+    360: [23, 24, 25, 26, 27, 72, 73],
+    370: [21, 22, 23, 24, 25, 72, 73],
     380: [20, 21, 22, 23, 24, 73],
     390: [18, 19, 20, 21, 22, 73],
     400: [17, 18, 19, 20, 21, 73],
@@ -3383,7 +2750,7 @@ export default {
     460: [8, 9, 10, 11, 12, 73, 74],
     470: [7, 8, 9, 10, 11, 73, 74],
     480: [7, 8, 9, 73, 74],
-    490: [7, 8, 74],
+    490: [7, 8, 74]
   },
   530: {
     40: [62, 63, 64, 65, 66],
@@ -3406,32 +2773,32 @@ export default {
     210: [42, 43, 44, 45, 70, 71],
     220: [41, 42, 43, 44, 70, 71],
     230: [39, 40, 41, 42, 43, 70, 71],
-    240: [38, 39, 40, 41, 71],
-    250: [37, 38, 39, 40, 71],
-    260: [36, 37, 38, 39, 71],
-    270: [34, 35, 36, 37, 38, 71],
-    280: [33, 34, 35, 36, 37, 71],
-    290: [32, 33, 34, 35, 71],
-    300: [31, 32, 33, 34, 71],
-    310: [29, 30, 31, 32, 33, 71],
-    320: [28, 29, 30, 31, 32],
-    330: [27, 28, 29, 30],
-    340: [25, 26, 27, 28, 29],
-    350: [24, 25, 26, 27, 28, 73],
-    360: [23, 24, 25, 26, 73],
-    370: [21, 22, 23, 24, 25, 73],
-    380: [20, 21, 22, 23, 24, 73],
-    390: [18, 19, 20, 21, 22, 73],
-    400: [17, 18, 19, 20, 21, 73],
-    410: [16, 17, 18, 19, 20, 73],
-    420: [14, 15, 16, 17, 18, 73],
-    430: [13, 14, 15, 16, 17, 73],
+    240: [38, 39, 40, 41, 71, 72],
+    250: [37, 38, 39, 40, 71, 72],
+    260: [36, 37, 38, 39, 71, 72],
+    270: [34, 35, 36, 37, 38, 71, 72],
+    280: [33, 34, 35, 36, 37, 71, 72],
+    290: [32, 33, 34, 35, 71, 72],
+    300: [31, 32, 33, 34, 71, 72],
+    310: [29, 30, 31, 32, 33, 71, 72],
+    320: [28, 29, 30, 31, 32, 72],
+    330: [27, 28, 29, 30, 72],
+    340: [25, 26, 27, 28, 29, 72],
+    350: [24, 25, 26, 27, 28, 72, 73],
+    360: [23, 24, 25, 26, 72, 73],
+    370: [21, 22, 23, 24, 25, 72, 73],
+    380: [20, 21, 22, 23, 24, 72, 73],
+    390: [18, 19, 20, 21, 22, 72, 73],
+    400: [17, 18, 19, 20, 21, 72, 73],
+    410: [16, 17, 18, 19, 20, 72, 73],
+    420: [14, 15, 16, 17, 18, 72, 73],
+    430: [13, 14, 15, 16, 17, 72, 73],
     440: [11, 12, 13, 14, 15, 73],
     450: [10, 11, 12, 13, 14, 73],
     460: [8, 9, 10, 11, 12, 73],
     470: [7, 8, 9, 10, 11, 73],
     480: [7, 8, 9, 10, 73],
-    490: [7, 8, 73],
+    490: [7, 8, 73]
   },
   540: {
     40: [63, 64],
@@ -3459,27 +2826,27 @@ export default {
     260: [36, 37, 38, 39, 70, 71],
     270: [34, 35, 36, 37, 38, 71],
     280: [33, 34, 35, 36, 71],
-    290: [32, 33, 34, 35, 71],
-    300: [31, 32, 33, 34, 71],
-    310: [29, 30, 31, 32, 33, 71],
-    320: [28, 29, 30, 31, 32, 71],
-    330: [27, 28, 29, 30, 71],
-    340: [25, 26, 27, 28, 29, 71],
-    350: [24, 25, 26, 27, 28, 71],
-    360: [23, 24, 25, 26, 71],
-    370: [21, 22, 23, 24, 25],
-    380: [20, 21, 22, 23, 24],
-    390: [19, 20, 21, 22],
-    400: [17, 18, 19, 20, 21],
-    410: [16, 17, 18, 19, 20, 73],
-    420: [14, 15, 16, 17, 18, 73],
-    430: [13, 14, 15, 16, 17, 73],
-    440: [12, 13, 14, 15, 73],
-    450: [10, 11, 12, 13, 14, 73],
-    460: [9, 10, 11, 12, 13, 73],
-    470: [8, 9, 10, 11, 73],
-    480: [8, 9, 10, 73],
-    490: [8, 73],
+    290: [32, 33, 34, 35, 71, 72],
+    300: [31, 32, 33, 34, 71, 72],
+    310: [29, 30, 31, 32, 33, 71, 72],
+    320: [28, 29, 30, 31, 32, 71, 72],
+    330: [27, 28, 29, 30, 71, 72],
+    340: [25, 26, 27, 28, 29, 71, 72],
+    350: [24, 25, 26, 27, 28, 71, 72],
+    360: [23, 24, 25, 26, 71, 72],
+    370: [21, 22, 23, 24, 25, 72],
+    380: [20, 21, 22, 23, 24, 72],
+    390: [19, 20, 21, 22, 72],
+    400: [17, 18, 19, 20, 21, 72],
+    410: [16, 17, 18, 19, 20, 72, 73],
+    420: [14, 15, 16, 17, 18, 72, 73],
+    430: [13, 14, 15, 16, 17, 72, 73],
+    440: [12, 13, 14, 15, 72, 73],
+    450: [10, 11, 12, 13, 14, 72, 73],
+    460: [9, 10, 11, 12, 13, 72, 73],
+    470: [8, 9, 10, 11, 72, 73],
+    480: [8, 9, 10, 72, 73],
+    490: [8, 72, 73]
   },
   550: {
     50: [61, 62, 63, 64],
@@ -3511,22 +2878,23 @@ export default {
     310: [29, 30, 31, 32, 33, 70, 71],
     320: [28, 29, 30, 31, 71],
     330: [27, 28, 29, 30, 71],
-    340: [25, 26, 27, 28, 29, 71],
-    350: [24, 25, 26, 27, 28, 71],
-    360: [23, 24, 25, 26, 71],
-    370: [21, 22, 23, 24, 25, 71],
-    380: [20, 21, 22, 23, 24, 71],
-    390: [18, 19, 20, 21, 22, 71],
-    400: [17, 18, 19, 20, 21, 71],
-    410: [16, 17, 18, 19, 20, 71],
-    420: [15, 16, 17, 18, 71],
-    430: [13, 14, 15, 16, 17],
-    440: [12, 13, 14, 15, 16],
-    450: [10, 11, 12, 13, 14],
-    460: [9, 10, 11, 12, 13],
-    470: [8, 9, 10, 11],
-    480: [8, 9, 10],
-    490: [8, 9],
+    340: [25, 26, 27, 28, 29, 71, 72],
+    350: [24, 25, 26, 27, 28, 71, 72],
+    360: [23, 24, 25, 26, 71, 72],
+    370: [21, 22, 23, 24, 25, 71, 72],
+    380: [20, 21, 22, 23, 24, 71, 72],
+    390: [18, 19, 20, 21, 22, 71, 72],
+    400: [17, 18, 19, 20, 21, 71, 72],
+    410: [16, 17, 18, 19, 20, 71, 72],
+    420: [15, 16, 17, 18, 71, 72],
+    430: [13, 14, 15, 16, 17, 72],
+    440: [12, 13, 14, 15, 16, 72],
+    450: [10, 11, 12, 13, 14, 72],
+    460: [9, 10, 11, 12, 13, 72],
+    470: [8, 9, 10, 11, 72],
+    480: [8, 9, 10, 72],
+    490: [8, 9, 72],
+    500: [72]
   },
   560: {
     50: [62, 63],
@@ -3564,17 +2932,17 @@ export default {
     370: [21, 22, 23, 24, 25, 71],
     380: [20, 21, 22, 23, 24, 71],
     390: [19, 20, 21, 22, 71],
-    400: [17, 18, 19, 20, 21, 71],
-    410: [16, 17, 18, 19, 20, 71],
-    420: [15, 16, 17, 18, 71],
-    430: [13, 14, 15, 16, 17, 71],
-    440: [12, 13, 14, 15, 16, 71],
-    450: [11, 12, 13, 14, 71],
-    460: [9, 10, 11, 12, 13, 71],
-    470: [8, 9, 10, 11, 12, 71],
-    480: [8, 9, 10, 71],
-    490: [8, 9],
-    500: [8],
+    400: [17, 18, 19, 20, 21, 71, 72],
+    410: [16, 17, 18, 19, 20, 71, 72],
+    420: [15, 16, 17, 18, 71, 72],
+    430: [13, 14, 15, 16, 17, 71, 72],
+    440: [12, 13, 14, 15, 16, 71, 72],
+    450: [11, 12, 13, 14, 71, 72],
+    460: [9, 10, 11, 12, 13, 71, 72],
+    470: [8, 9, 10, 11, 12, 71, 72],
+    480: [8, 9, 10, 71, 72],
+    490: [8, 9, 72],
+    500: [8, 72]
   },
   570: {
     60: [60, 61, 62, 63],
@@ -3618,10 +2986,10 @@ export default {
     440: [12, 13, 14, 15, 16, 71],
     450: [11, 12, 13, 14, 15, 71],
     460: [9, 10, 11, 12, 13, 71],
-    470: [8, 9, 10, 11, 12, 71],
-    480: [8, 9, 10, 11, 71],
-    490: [8, 9, 71],
-    500: [8],
+    470: [8, 9, 10, 11, 12, 71, 72],
+    480: [8, 9, 10, 11, 71, 72],
+    490: [8, 9, 71, 72],
+    500: [8]
   },
   580: {
     70: [58, 59, 60, 61, 62, 63],
@@ -3666,7 +3034,7 @@ export default {
     460: [10, 11, 12, 13, 70, 71],
     470: [9, 10, 11, 12, 70, 71],
     480: [8, 9, 10, 11, 71],
-    490: [8, 9, 71],
+    490: [8, 9, 71]
   },
   590: {
     70: [59, 60, 61, 62],
@@ -3712,7 +3080,7 @@ export default {
     470: [9, 10, 11, 12, 70, 71],
     480: [9, 10, 11, 70, 71],
     490: [9, 10, 71],
-    500: [9],
+    500: [9]
   },
   600: {
     80: [57, 58, 59, 60, 61, 62],
@@ -3757,7 +3125,7 @@ export default {
     470: [9, 10, 11, 12, 13, 70],
     480: [9, 10, 11, 70],
     490: [9, 10, 70],
-    500: [9],
+    500: [9]
   },
   610: {
     80: [58, 59, 60],
@@ -3801,7 +3169,7 @@ export default {
     460: [11, 12, 13, 14, 69, 70],
     470: [10, 11, 12, 13, 69, 70],
     480: [9, 10, 11, 12, 69, 70],
-    490: [9, 10, 69],
+    490: [9, 10, 69]
   },
   620: {
     90: [56, 57, 58, 59, 60],
@@ -3845,7 +3213,7 @@ export default {
     470: [10, 11, 12, 13, 69],
     480: [10, 11, 12, 69],
     490: [10, 11, 69],
-    500: [10],
+    500: [10]
   },
   630: {
     90: [58],
@@ -3888,7 +3256,7 @@ export default {
     460: [11, 12, 13, 14, 15, 68, 69],
     470: [10, 11, 12, 13, 68, 69],
     480: [10, 11, 12, 68, 69],
-    490: [10, 11, 68, 69],
+    490: [10, 11, 68, 69]
   },
   640: {
     100: [56, 57, 58, 59],
@@ -3930,7 +3298,7 @@ export default {
     460: [12, 13, 14, 15, 68],
     470: [11, 12, 13, 14, 68],
     480: [10, 11, 12, 13, 68],
-    490: [11, 68],
+    490: [11, 68]
   },
   650: {
     110: [54, 55, 56, 57, 58, 59],
@@ -3972,7 +3340,7 @@ export default {
     470: [11, 12, 13, 14, 67, 68],
     480: [11, 12, 13, 67, 68],
     490: [11, 12, 68],
-    500: [11],
+    500: [11]
   },
   660: {
     110: [55, 56, 57],
@@ -4013,7 +3381,7 @@ export default {
     460: [12, 13, 14, 15, 66, 67],
     470: [11, 12, 13, 14, 67],
     480: [11, 12, 13, 67],
-    490: [11, 12, 67],
+    490: [11, 12, 67]
   },
   670: {
     120: [54, 55, 56, 57],
@@ -4053,7 +3421,7 @@ export default {
     460: [13, 14, 15, 16, 66, 67],
     470: [12, 13, 14, 15, 66, 67],
     480: [12, 13, 66, 67],
-    490: [12, 66],
+    490: [12, 66]
   },
   680: {
     130: [52, 53, 54, 55, 56, 57],
@@ -4093,7 +3461,7 @@ export default {
     470: [12, 13, 14, 15, 66],
     480: [12, 13, 14, 66],
     490: [12, 13, 66],
-    500: [66],
+    500: [66]
   },
   690: {
     140: [51, 52, 53, 54, 55, 56, 57],
@@ -4131,7 +3499,7 @@ export default {
     460: [13, 14, 15, 16, 65, 66],
     470: [12, 13, 14, 15, 65, 66],
     480: [12, 13, 14, 65, 66],
-    490: [12, 13, 65, 66],
+    490: [12, 13, 65, 66]
   },
   700: {
     140: [52, 53, 54, 55],
@@ -4169,7 +3537,7 @@ export default {
     460: [14, 15, 16, 17, 64, 65],
     470: [13, 14, 15, 65],
     480: [13, 14, 65, 66],
-    490: [13, 65],
+    490: [13, 65]
   },
   710: {
     150: [51, 52, 53, 54, 55],
@@ -4206,7 +3574,7 @@ export default {
     460: [14, 15, 16, 17, 64, 65],
     470: [13, 14, 15, 16, 64, 65],
     480: [13, 14, 15, 64, 65],
-    490: [13, 14, 64, 65],
+    490: [13, 14, 64, 65]
   },
   720: {
     160: [50, 51, 52, 53, 54, 55],
@@ -4242,7 +3610,7 @@ export default {
     460: [14, 15, 16, 17, 63, 64],
     470: [14, 15, 16, 64],
     480: [13, 14, 15, 64, 65],
-    490: [14, 64],
+    490: [14, 64]
   },
   730: {
     160: [52],
@@ -4278,7 +3646,7 @@ export default {
     460: [15, 16, 17, 18, 63, 64],
     470: [14, 15, 16, 17, 63, 64],
     480: [14, 15, 16, 63, 64],
-    490: [14, 63, 64],
+    490: [14, 63, 64]
   },
   740: {
     170: [50, 51, 52, 53],
@@ -4313,7 +3681,7 @@ export default {
     460: [15, 16, 17, 18, 62, 63],
     470: [14, 15, 16, 17, 62, 63],
     480: [14, 15, 16, 63],
-    490: [14, 15, 63],
+    490: [14, 15, 63]
   },
   750: {
     180: [49, 50, 51, 52, 53],
@@ -4347,7 +3715,7 @@ export default {
     460: [15, 16, 17, 18, 62, 63],
     470: [15, 16, 17, 62, 63],
     480: [15, 16, 62, 63],
-    490: [15, 63],
+    490: [15, 63]
   },
   760: {
     190: [48, 49, 50, 51, 52, 53],
@@ -4380,7 +3748,7 @@ export default {
     460: [16, 17, 18, 19, 61, 62],
     470: [15, 16, 17, 18, 61, 62],
     480: [15, 16, 17, 61, 62],
-    490: [15, 16, 62],
+    490: [15, 16, 62]
   },
   770: {
     200: [47, 48, 49, 50, 51, 52, 53],
@@ -4412,7 +3780,7 @@ export default {
     460: [16, 17, 18, 19, 61, 62],
     470: [16, 17, 18, 61, 62],
     480: [15, 16, 17, 61, 62],
-    490: [16],
+    490: [16]
   },
   780: {
     210: [46, 47, 48, 49, 50, 51, 52],
@@ -4443,7 +3811,7 @@ export default {
     460: [17, 18, 19, 60, 61],
     470: [16, 17, 18, 60, 61],
     480: [16, 17, 60, 61],
-    490: [16, 60],
+    490: [16, 60]
   },
   790: {
     210: [48, 49, 50],
@@ -4475,7 +3843,7 @@ export default {
     470: [16, 17, 18, 19, 60, 61],
     480: [16, 17, 18, 60, 61],
     490: [17, 60],
-    500: [60],
+    500: [60]
   },
   800: {
     220: [47, 48, 49, 50],
@@ -4506,7 +3874,7 @@ export default {
     470: [17, 18, 19, 59, 60],
     480: [17, 18, 59, 60],
     490: [17, 59, 60],
-    500: [60],
+    500: [60]
   },
   810: {
     230: [46, 47, 48, 49],
@@ -4536,7 +3904,7 @@ export default {
     470: [17, 18, 19, 20, 58, 59, 60],
     480: [17, 18, 19, 58, 59, 60],
     490: [17, 18, 59, 60],
-    500: [17, 59],
+    500: [17, 59]
   },
   820: {
     240: [45, 46, 47, 48, 49],
@@ -4564,7 +3932,7 @@ export default {
     460: [18, 19, 20, 21, 57, 58, 59],
     470: [17, 18, 19, 20, 58, 59],
     480: [17, 18, 19, 58, 59],
-    490: [17, 18, 58, 59],
+    490: [17, 18, 58, 59]
   },
   830: {
     250: [44, 45, 46, 47, 48, 49],
@@ -4592,7 +3960,7 @@ export default {
     470: [18, 19, 20, 21, 57, 58],
     480: [18, 19, 20, 57, 58, 59],
     490: [18, 19, 57, 58],
-    500: [18, 58],
+    500: [18, 58]
   },
   840: {
     260: [44, 45, 46, 47, 48],
@@ -4619,7 +3987,7 @@ export default {
     470: [18, 19, 20, 21, 56, 57, 58],
     480: [18, 19, 20, 57, 58],
     490: [18, 19, 57, 58],
-    500: [57],
+    500: [57]
   },
   850: {
     270: [43, 44, 45, 46, 47, 48],
@@ -4645,16 +4013,14 @@ export default {
     470: [19, 20, 21, 22, 56, 57],
     480: [19, 20, 21, 56, 57],
     490: [19, 20, 56, 57],
-    500: [19, 57],
+    500: [19, 57]
   },
   860: {
     280: [42, 43, 44, 45, 46, 47],
     290: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
     300: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
     310: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
-    320: [
-      35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52,
-    ],
+    320: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
     330: [34, 35, 36, 37, 38, 39, 40, 47, 48, 49, 50, 51, 52],
     340: [33, 34, 35, 36, 37, 38, 49, 50, 51, 52, 53],
     350: [32, 33, 34, 35, 36, 50, 51, 52, 53],
@@ -4672,7 +4038,7 @@ export default {
     470: [19, 20, 21, 22, 55, 56],
     480: [19, 20, 21, 55, 56, 57],
     490: [19, 20, 56, 57],
-    500: [56],
+    500: [56]
   },
   870: {
     290: [42, 43, 44, 45, 46, 47],
@@ -4696,16 +4062,14 @@ export default {
     470: [20, 21, 22, 23, 54, 55, 56],
     480: [20, 21, 22, 54, 55, 56],
     490: [20, 21, 55, 56],
-    500: [20],
+    500: [20]
   },
   880: {
     300: [41, 42, 43, 44, 45, 46],
     310: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
     320: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
     330: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
-    340: [
-      34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51,
-    ],
+    340: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
     350: [33, 34, 35, 36, 37, 38, 39, 40, 46, 47, 48, 49, 50, 51],
     360: [32, 33, 34, 35, 36, 37, 47, 48, 49, 50, 51, 52],
     370: [31, 32, 33, 34, 35, 49, 50, 51, 52],
@@ -4720,7 +4084,7 @@ export default {
     460: [21, 22, 23, 24, 53, 54, 55],
     470: [20, 21, 22, 23, 53, 54, 55],
     480: [20, 21, 22, 54, 55],
-    490: [20, 21, 54],
+    490: [20, 21, 54]
   },
   890: {
     310: [41, 42, 43, 44, 45, 46],
@@ -4742,7 +4106,7 @@ export default {
     470: [21, 22, 23, 24, 53, 54],
     480: [21, 22, 23, 53, 54],
     490: [21, 22, 53, 54],
-    500: [21],
+    500: [21]
   },
   900: {
     320: [41, 42, 43, 44, 45],
@@ -4763,7 +4127,7 @@ export default {
     470: [22, 23, 24, 25, 52, 53, 54],
     480: [21, 22, 23, 24, 52, 53, 54],
     490: [21, 22, 23, 53],
-    500: [22],
+    500: [22]
   },
   910: {
     330: [41, 42, 43, 44, 45],
@@ -4783,7 +4147,7 @@ export default {
     470: [22, 23, 24, 25, 51, 52, 53],
     480: [22, 23, 24, 51, 52, 53],
     490: [22, 23, 52],
-    500: [22],
+    500: [22]
   },
   920: {
     340: [40, 41, 42, 43],
@@ -4791,9 +4155,7 @@ export default {
     360: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
     370: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
     380: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    390: [
-      32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49,
-    ],
+    390: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
     400: [30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 48, 49, 50],
     410: [29, 30, 31, 32, 33, 34, 46, 47, 48, 49, 50],
     420: [28, 29, 30, 31, 32, 33, 47, 48, 49, 50],
@@ -4804,7 +4166,7 @@ export default {
     470: [23, 24, 25, 26, 50, 51, 52],
     480: [22, 23, 24, 25, 50, 51, 52],
     490: [22, 23, 24, 51, 52],
-    500: [23],
+    500: [23]
   },
   930: {
     350: [40, 41, 42, 43],
@@ -4812,10 +4174,7 @@ export default {
     370: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
     380: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
     390: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    400: [
-      31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48,
-      49,
-    ],
+    400: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
     410: [30, 31, 32, 33, 34, 35, 36, 44, 45, 46, 47, 48, 49],
     420: [29, 30, 31, 32, 33, 34, 45, 46, 47, 48, 49, 50],
     430: [28, 29, 30, 31, 32, 46, 47, 48, 49, 50],
@@ -4824,7 +4183,7 @@ export default {
     460: [24, 25, 26, 27, 28, 48, 49, 50, 51],
     470: [23, 24, 25, 26, 27, 49, 50, 51],
     480: [23, 24, 25, 26, 49, 50, 51, 52],
-    490: [23, 24, 25, 50, 51],
+    490: [23, 24, 25, 50, 51]
   },
   940: {
     360: [41],
@@ -4832,9 +4191,7 @@ export default {
     380: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
     390: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
     400: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
-    410: [
-      31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48,
-    ],
+    410: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
     420: [30, 31, 32, 33, 34, 35, 36, 43, 44, 45, 46, 47, 48, 49],
     430: [28, 29, 30, 31, 32, 33, 34, 45, 46, 47, 48, 49],
     440: [27, 28, 29, 30, 31, 32, 46, 47, 48, 49],
@@ -4842,7 +4199,7 @@ export default {
     460: [25, 26, 27, 28, 29, 47, 48, 49, 50],
     470: [24, 25, 26, 27, 28, 48, 49, 50, 51],
     480: [24, 25, 26, 27, 48, 49, 50, 51],
-    490: [25, 26, 49, 50, 51],
+    490: [25, 26, 49, 50, 51]
   },
   950: {
     380: [37, 38, 39, 40, 41, 42, 43, 44],
@@ -4856,22 +4213,20 @@ export default {
     460: [26, 27, 28, 29, 30, 46, 47, 48, 49],
     470: [25, 26, 27, 28, 29, 47, 48, 49, 50],
     480: [25, 26, 27, 28, 47, 48, 49, 50],
-    490: [25, 26, 48, 49, 50],
+    490: [25, 26, 48, 49, 50]
   },
   960: {
     390: [37, 38, 39, 40, 41, 42],
     400: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
     410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
     420: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
-    430: [
-      30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47,
-    ],
+    430: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
     440: [29, 30, 31, 32, 33, 34, 35, 36, 37, 40, 41, 42, 43, 44, 45, 46, 47],
     450: [28, 29, 30, 31, 32, 33, 34, 43, 44, 45, 46, 47, 48],
     460: [27, 28, 29, 30, 31, 32, 44, 45, 46, 47, 48],
     470: [26, 27, 28, 29, 30, 45, 46, 47, 48, 49],
     480: [26, 27, 28, 29, 46, 47, 48, 49],
-    490: [26, 27, 47, 48],
+    490: [26, 27, 47, 48]
   },
   970: {
     400: [37, 38, 39, 40, 41, 42],
@@ -4879,14 +4234,11 @@ export default {
     420: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
     430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
     440: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
-    450: [
-      29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46,
-      47,
-    ],
+    450: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
     460: [28, 29, 30, 31, 32, 33, 34, 42, 43, 44, 45, 46, 47],
     470: [27, 28, 29, 30, 31, 32, 44, 45, 46, 47, 48],
     480: [26, 27, 28, 29, 30, 45, 46, 47, 48],
-    490: [27, 28, 29, 45, 46, 47],
+    490: [27, 28, 29, 45, 46, 47]
   },
   980: {
     410: [37, 38, 39, 40],
@@ -4894,13 +4246,11 @@ export default {
     430: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
     440: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
     450: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
-    460: [
-      29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46,
-    ],
+    460: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
     470: [28, 29, 30, 31, 32, 33, 34, 41, 42, 43, 44, 45, 46, 47],
     480: [27, 28, 29, 30, 31, 32, 43, 44, 45, 46, 47],
     490: [28, 29, 30, 44, 45, 46, 47],
-    500: [46],
+    500: [46]
   },
   990: {
     420: [38],
@@ -4908,13 +4258,10 @@ export default {
     440: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
     450: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
     460: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
-    470: [
-      28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45,
-      46,
-    ],
+    470: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
     480: [28, 29, 30, 31, 32, 33, 34, 35, 40, 41, 42, 43, 44, 45, 46],
     490: [28, 29, 30, 31, 32, 42, 43, 44, 45, 46],
-    500: [30],
+    500: [30]
   },
   1000: {
     440: [35, 36, 37, 38, 39, 40, 41],
@@ -4923,23 +4270,23 @@ export default {
     470: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
     480: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
     490: [29, 30, 31, 32, 33, 34, 35, 36, 38, 39, 40, 41, 42, 43, 44],
-    500: [30],
+    500: [30]
   },
   1010: {
     450: [35, 36, 37, 38, 39, 40],
     460: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
     470: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
     480: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
-    490: [30, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    490: [30, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42]
   },
   1020: {
     460: [36, 37, 38],
     470: [33, 34, 35, 36, 37, 38, 39, 40],
     480: [32, 33, 34, 35, 36, 37, 38, 39, 40],
-    490: [33, 35, 36, 37, 38, 40],
+    490: [33, 35, 36, 37, 38, 40]
   },
   1030: {
     480: [36, 38],
-    490: [36],
-  },
+    490: [36]
+  }
 };
@@ -0,0 +1,4224 @@
+// Firing Table Data for World 1
+// Cannonball size level 5 (radius 12.0px)
+// Generated on 2026-10-19T18:31:48.918Z
+export default {
+  0: {
+    0: [100, 101],
+    10: [96, 97, 100, 101, 102],
+    20: [96, 97, 100, 101, 102],
+    30: [96, 97, 101, 102],
+    40: [96, 101, 102, 103],
+    50: [96, 102, 103],
+    60: [96, 102, 103, 104],
+    70: [96, 102, 103, 104],
+    80: [96, 103, 104, 105],
+    90: [96, 103, 104, 105],
+    100: [96, 104, 105, 106],
+    110: [96, 104, 105, 106, 107],
+    120: [96, 105, 106, 107],
+    130: [95, 96, 105, 106, 107, 108],
+    140: [95, 96, 106, 107, 108],
+    150: [95, 96, 106, 107, 108, 109],
+    160: [95, 96, 107, 108, 109, 110],
+    170: [95, 96, 107, 108, 109, 110, 111],
+    180: [95, 96, 108, 109, 110, 111],
+    190: [95, 96, 109, 110, 111, 112],
+    200: [95, 96, 109, 110, 111, 112, 113],
+    210: [95, 110, 111, 112, 113, 114],
+    220: [95, 111, 112, 113, 114, 115],
+    230: [95, 112, 113, 114, 115, 116],
+    240: [95, 113, 114, 115, 116, 117],
+    250: [95, 114, 115, 116, 117, 118],
+    260: [95, 114, 115, 116, 117, 118, 119],
+    270: [95, 116, 117, 118, 119, 120, 121],
+    280: [95, 117, 118, 119, 120, 121, 122],
+    290: [95, 118, 119, 120, 121, 122, 123, 124],
+    300: [95, 119, 120, 121, 122, 123, 124, 125],
+    310: [95, 121, 122, 123, 124, 125, 126, 127],
+    320: [95, 123, 124, 125, 126, 127, 128, 129],
+    330: [95, 124, 125, 126, 127, 128, 129, 130, 131],
+    340: [95, 126, 127, 128, 129, 130, 131, 132, 133],
+    350: [95, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    360: [95, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    370: [95, 134, 135, 136, 137, 138, 139, 140, 141],
+    380: [95, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    390: [95, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    400: [95, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    410: [95, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    420: [95, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    430: [95, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    440: [95, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    450: [95, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [95, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [95, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    480: [95, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    490: [95, 180, 181, 182, 183, 184],
+    500: [95]
+  },
+  10: {
+    0: [99, 100],
+    10: [96, 99, 100, 101],
+    20: [96, 100, 101],
+    30: [95, 96, 100, 101, 102],
+    40: [95, 96, 100, 101, 102],
+    50: [95, 96, 101, 102],
+    60: [95, 96, 101, 102, 103],
+    70: [95, 96, 101, 102, 103],
+    80: [95, 96, 102, 103, 104],
+    90: [95, 96, 102, 103, 104],
+    100: [95, 102, 103, 104, 105],
+    110: [95, 103, 104, 105],
+    120: [95, 103, 104, 105, 106],
+    130: [95, 104, 105, 106, 107],
+    140: [95, 104, 105, 106, 107],
+    150: [95, 105, 106, 107, 108],
+    160: [95, 105, 106, 107, 108],
+    170: [95, 106, 107, 108, 109],
+    180: [95, 106, 107, 108, 109, 110],
+    190: [95, 107, 108, 109, 110, 111],
+    200: [95, 108, 109, 110, 111],
+    210: [95, 108, 109, 110, 111, 112],
+    220: [95, 109, 110, 111, 112, 113],
+    230: [95, 110, 111, 112, 113, 114],
+    240: [95, 111, 112, 113, 114, 115],
+    250: [95, 112, 113, 114, 115, 116],
+    260: [95, 113, 114, 115, 116, 117],
+    270: [95, 114, 115, 116, 117, 118, 119],
+    280: [95, 115, 116, 117, 118, 119, 120],
+    290: [95, 116, 117, 118, 119, 120, 121, 122],
+    300: [95, 118, 119, 120, 121, 122, 123],
+    310: [95, 119, 120, 121, 122, 123, 124, 125],
+    320: [95, 120, 121, 122, 123, 124, 125, 126, 127],
+    330: [95, 122, 123, 124, 125, 126, 127, 128, 129],
+    340: [95, 124, 125, 126, 127, 128, 129, 130, 131],
+    350: [95, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    360: [95, 129, 130, 131, 132, 133, 134, 135, 136],
+    370: [94, 95, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    380: [94, 95, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    390: [94, 95, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    400: [94, 95, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    410: [94, 95, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    420: [94, 95, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    430: [94, 95, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    440: [94, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167],
+    450: [94, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    460: [94, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177],
+    470: [94, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    480: [94, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [94, 181, 182, 183, 184, 185, 186]
+  },
+  20: {
+    0: [98, 99],
+    10: [95, 96, 98, 99, 100],
+    20: [95, 96, 99, 100],
+    30: [95, 99, 100, 101],
+    40: [95, 99, 100, 101],
+    50: [95, 100, 101, 102],
+    60: [95, 100, 101, 102],
+    70: [95, 100, 101, 102],
+    80: [95, 101, 102, 103],
+    90: [95, 101, 102, 103],
+    100: [95, 101, 102, 103, 104],
+    110: [95, 102, 103, 104],
+    120: [95, 102, 103, 104, 105],
+    130: [95, 102, 103, 104, 105],
+    140: [94, 95, 103, 104, 105, 106],
+    150: [94, 95, 103, 104, 105, 106],
+    160: [94, 95, 104, 105, 106, 107],
+    170: [94, 95, 104, 105, 106, 107, 108],
+    180: [94, 95, 105, 106, 107, 108],
+    190: [94, 95, 105, 106, 107, 108, 109],
+    200: [94, 95, 106, 107, 108, 109, 110],
+    210: [94, 95, 107, 108, 109, 110, 111],
+    220: [94, 95, 107, 108, 109, 110, 111, 112],
+    230: [94, 95, 108, 109, 110, 111, 112, 113],
+    240: [94, 109, 110, 111, 112, 113],
+    250: [94, 110, 111, 112, 113, 114, 115],
+    260: [94, 111, 112, 113, 114, 115, 116],
+    270: [94, 111, 112, 113, 114, 115, 116, 117],
+    280: [94, 113, 114, 115, 116, 117, 118],
+    290: [94, 114, 115, 116, 117, 118, 119],
+    300: [94, 115, 116, 117, 118, 119, 120, 121],
+    310: [94, 117, 118, 119, 120, 121, 122, 123],
+    320: [94, 118, 119, 120, 121, 122, 123, 124, 125],
+    330: [94, 120, 121, 122, 123, 124, 125, 126],
+    340: [94, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    350: [94, 124, 125, 126, 127, 128, 129, 130, 131],
+    360: [94, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    370: [94, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    380: [94, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    390: [94, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    400: [94, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    410: [94, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    420: [94, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    430: [94, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    440: [94, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [94, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    460: [94, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [94, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [94, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [94, 180, 181, 182, 183, 184, 185, 186],
+    500: [186]
+  },
+  30: {
+    0: [95, 97, 98, 99],
+    10: [95, 97, 98, 99],
+    20: [94, 95, 98, 99],
+    30: [94, 95, 98, 99, 100],
+    40: [94, 95, 98, 99, 100],
+    50: [94, 95, 99, 100, 101],
+    60: [94, 95, 99, 100, 101],
+    70: [94, 95, 99, 100, 101],
+    80: [94, 95, 99, 100, 101, 102],
+    90: [94, 95, 100, 101, 102],
+    100: [94, 100, 101, 102],
+    110: [94, 100, 101, 102, 103],
+    120: [94, 101, 102, 103],
+    130: [94, 101, 102, 103, 104],
+    140: [94, 101, 102, 103, 104, 105],
+    150: [94, 102, 103, 104, 105],
+    160: [94, 102, 103, 104, 105, 106],
+    170: [94, 103, 104, 105, 106],
+    180: [94, 103, 104, 105, 106, 107],
+    190: [94, 104, 105, 106, 107, 108],
+    200: [94, 104, 105, 106, 107, 108],
+    210: [94, 105, 106, 107, 108, 109],
+    220: [94, 106, 107, 108, 109, 110],
+    230: [94, 106, 107, 108, 109, 110, 111],
+    240: [94, 107, 108, 109, 110, 111, 112],
+    250: [94, 108, 109, 110, 111, 112, 113],
+    260: [94, 108, 109, 110, 111, 112, 113, 114],
+    270: [94, 110, 111, 112, 113, 114, 115],
+    280: [94, 110, 111, 112, 113, 114, 115, 116],
+    290: [94, 112, 113, 114, 115, 116, 117],
+    300: [94, 112, 113, 114, 115, 116, 117, 118, 119],
+    310: [94, 114, 115, 116, 117, 118, 119, 120, 121],
+    320: [94, 115, 116, 117, 118, 119, 120, 121, 122],
+    330: [94, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    340: [94, 119, 120, 121, 122, 123, 124, 125, 126],
+    350: [94, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    360: [94, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    370: [94, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    380: [94, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    390: [94, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    400: [94, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    410: [94, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    420: [94, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    430: [94, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    440: [94, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    450: [94, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    460: [94, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [94, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    480: [94, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [94, 182, 183, 184, 185, 186, 187, 188]
+  },
+  40: {
+    0: [94, 96, 97, 98],
+    10: [94, 97, 98],
+    20: [94, 97, 98],
+    30: [94, 97, 98, 99],
+    40: [94, 97, 98, 99],
+    50: [94, 98, 99],
+    60: [94, 98, 99, 100],
+    70: [94, 98, 99, 100],
+    80: [94, 98, 99, 100, 101],
+    90: [94, 99, 100, 101],
+    100: [94, 99, 100, 101],
+    110: [94, 99, 100, 101, 102],
+    120: [94, 100, 101, 102],
+    130: [94, 100, 101, 102, 103],
+    140: [94, 100, 101, 102, 103],
+    150: [94, 100, 101, 102, 103, 104],
+    160: [94, 101, 102, 103, 104],
+    170: [94, 101, 102, 103, 104, 105],
+    180: [94, 102, 103, 104, 105],
+    190: [94, 102, 103, 104, 105, 106],
+    200: [93, 94, 103, 104, 105, 106, 107],
+    210: [93, 94, 103, 104, 105, 106, 107],
+    220: [93, 94, 104, 105, 106, 107, 108],
+    230: [93, 94, 104, 105, 106, 107, 108, 109],
+    240: [93, 94, 105, 106, 107, 108, 109, 110],
+    250: [93, 94, 106, 107, 108, 109, 110],
+    260: [93, 94, 106, 107, 108, 109, 110, 111, 112],
+    270: [93, 94, 107, 108, 109, 110, 111, 112, 113],
+    280: [93, 94, 108, 109, 110, 111, 112, 113, 114],
+    290: [93, 109, 110, 111, 112, 113, 114, 115],
+    300: [93, 110, 111, 112, 113, 114, 115, 116],
+    310: [93, 111, 112, 113, 114, 115, 116, 117, 118],
+    320: [93, 113, 114, 115, 116, 117, 118, 119, 120],
+    330: [93, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    340: [93, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    350: [93, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    360: [93, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    370: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    380: [93, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    390: [93, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    400: [93, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    410: [93, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    420: [93, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    430: [93, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    440: [93, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [93, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    460: [93, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [93, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    480: [93, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [93, 181, 182, 183, 184, 185, 186, 187, 188],
+    500: [188]
+  },
+  50: {
+    0: [94, 95, 96, 97],
+    10: [93, 94, 96, 97],
+    20: [93, 94, 96, 97, 98],
+    30: [93, 94, 96, 97, 98],
+    40: [93, 94, 96, 97, 98],
+    50: [93, 94, 96, 97, 98],
+    60: [93, 94, 97, 98, 99],
+    70: [93, 94, 97, 98, 99],
+    80: [93, 94, 97, 98, 99],
+    90: [93, 94, 97, 98, 99, 100],
+    100: [93, 94, 98, 99, 100],
+    110: [93, 98, 99, 100, 101],
+    120: [93, 98, 99, 100, 101],
+    130: [93, 99, 100, 101],
+    140: [93, 99, 100, 101, 102],
+    150: [93, 99, 100, 101, 102],
+    160: [93, 99, 100, 101, 102, 103],
+    170: [93, 100, 101, 102, 103],
+    180: [93, 100, 101, 102, 103, 104],
+    190: [93, 101, 102, 103, 104],
+    200: [93, 101, 102, 103, 104, 105],
+    210: [93, 101, 102, 103, 104, 105, 106],
+    220: [93, 102, 103, 104, 105, 106],
+    230: [93, 102, 103, 104, 105, 106, 107],
+    240: [93, 103, 104, 105, 106, 107, 108],
+    250: [93, 104, 105, 106, 107, 108, 109],
+    260: [93, 104, 105, 106, 107, 108, 109],
+    270: [93, 105, 106, 107, 108, 109, 110, 111],
+    280: [93, 106, 107, 108, 109, 110, 111],
+    290: [93, 106, 107, 108, 109, 110, 111, 112, 113],
+    300: [93, 107, 108, 109, 110, 111, 112, 113, 114],
+    310: [93, 108, 109, 110, 111, 112, 113, 114, 115],
+    320: [93, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    330: [93, 111, 112, 113, 114, 115, 116, 117, 118],
+    340: [93, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    350: [93, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    360: [93, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    370: [93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    380: [93, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    390: [93, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    400: [93, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    410: [93, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    420: [93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    430: [93, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    440: [93, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [93, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    460: [93, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [93, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [93, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    490: [93, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192]
+  },
+  60: {
+    0: [93, 95, 96],
+    10: [93, 95, 96],
+    20: [93, 95, 96, 97],
+    30: [93, 95, 96, 97],
+    40: [93, 95, 96, 97],
+    50: [93, 95, 96, 97],
+    60: [93, 96, 97, 98],
+    70: [93, 96, 97, 98],
+    80: [93, 96, 97, 98],
+    90: [93, 96, 97, 98, 99],
+    100: [93, 96, 97, 98, 99],
+    110: [93, 97, 98, 99],
+    120: [93, 97, 98, 99, 100],
+    130: [93, 97, 98, 99, 100],
+    140: [93, 97, 98, 99, 100],
+    150: [93, 98, 99, 100, 101],
+    160: [93, 98, 99, 100, 101],
+    170: [93, 98, 99, 100, 101, 102],
+    180: [93, 98, 99, 100, 101, 102],
+    190: [93, 99, 100, 101, 102, 103],
+    200: [93, 99, 100, 101, 102, 103],
+    210: [93, 99, 100, 101, 102, 103, 104],
+    220: [93, 100, 101, 102, 103, 104],
+    230: [93, 101, 102, 103, 104, 105],
+    240: [93, 101, 102, 103, 104, 105, 106],
+    250: [93, 101, 102, 103, 104, 105, 106, 107],
+    260: [92, 93, 102, 103, 104, 105, 106, 107],
+    270: [92, 93, 102, 103, 104, 105, 106, 107, 108],
+    280: [92, 93, 103, 104, 105, 106, 107, 108, 109],
+    290: [92, 93, 104, 105, 106, 107, 108, 109, 110],
+    300: [92, 93, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    310: [92, 93, 106, 107, 108, 109, 110, 111, 112],
+    320: [92, 93, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    330: [92, 93, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    340: [92, 93, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    350: [92, 93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    360: [92, 93, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    370: [92, 93, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    380: [92, 93, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    390: [92, 93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    400: [92, 93, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    410: [92, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    420: [92, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    430: [92, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    440: [92, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    450: [92, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    460: [92, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [92, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [92, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    490: [92, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    500: [191, 192]
+  },
+  70: {
+    0: [93, 94, 95],
+    10: [92, 93, 94, 95],
+    20: [92, 93, 94, 95, 96],
+    30: [92, 93, 94, 95, 96],
+    40: [92, 93, 94, 95, 96],
+    50: [92, 93, 94, 95, 96],
+    60: [92, 93, 95, 96, 97],
+    70: [92, 93, 95, 96, 97],
+    80: [92, 93, 95, 96, 97],
+    90: [92, 93, 95, 96, 97],
+    100: [92, 93, 95, 96, 97, 98],
+    110: [92, 93, 95, 96, 97, 98],
+    120: [92, 93, 95, 96, 97, 98],
+    130: [92, 96, 97, 98, 99],
+    140: [92, 96, 97, 98, 99],
+    150: [92, 96, 97, 98, 99],
+    160: [92, 96, 97, 98, 99],
+    170: [92, 96, 97, 98, 99, 100],
+    180: [92, 97, 98, 99, 100],
+    190: [92, 97, 98, 99, 100, 101],
+    200: [92, 97, 98, 99, 100, 101],
+    210: [92, 98, 99, 100, 101, 102],
+    220: [92, 98, 99, 100, 101, 102],
+    230: [92, 98, 99, 100, 101, 102, 103],
+    240: [92, 99, 100, 101, 102, 103],
+    250: [92, 99, 100, 101, 102, 103, 104],
+    260: [92, 100, 101, 102, 103, 104, 105],
+    270: [92, 100, 101, 102, 103, 104, 105, 106],
+    280: [92, 100, 101, 102, 103, 104, 105, 106, 107],
+    290: [92, 102, 103, 104, 105, 106, 107],
+    300: [92, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    310: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    320: [92, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    330: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    340: [92, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    350: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    360: [92, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    370: [92, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    380: [92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    390: [92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    400: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    410: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    420: [92, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    430: [92, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    440: [92, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    450: [92, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    460: [92, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [92, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [92, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    490: [92, 185, 186, 187, 188, 189, 190, 191, 192]
+  },
+  80: {
+    0: [92, 93, 94],
+    10: [92, 93, 94, 95],
+    20: [92, 93, 94, 95],
+    30: [92, 93, 94, 95],
+    40: [92, 93, 94, 95],
+    50: [92, 93, 94, 95],
+    60: [92, 93, 94, 95, 96],
+    70: [92, 94, 95, 96],
+    80: [92, 94, 95, 96],
+    90: [92, 94, 95, 96],
+    100: [92, 94, 95, 96],
+    110: [92, 94, 95, 96, 97],
+    120: [92, 94, 95, 96, 97],
+    130: [92, 94, 95, 96, 97],
+    140: [92, 94, 95, 96, 97],
+    150: [92, 95, 96, 97, 98],
+    160: [92, 95, 96, 97, 98],
+    170: [92, 95, 96, 97, 98],
+    180: [92, 95, 96, 97, 98, 99],
+    190: [92, 95, 96, 97, 98, 99],
+    200: [92, 96, 97, 98, 99],
+    210: [92, 96, 97, 98, 99, 100],
+    220: [92, 96, 97, 98, 99, 100],
+    230: [92, 96, 97, 98, 99, 100, 101],
+    240: [92, 97, 98, 99, 100, 101],
+    250: [92, 97, 98, 99, 100, 101, 102],
+    260: [92, 97, 98, 99, 100, 101, 102, 103],
+    270: [92, 98, 99, 100, 101, 102, 103],
+    280: [92, 98, 99, 100, 101, 102, 103, 104],
+    290: [92, 98, 99, 100, 101, 102, 103, 104, 105],
+    300: [92, 99, 100, 101, 102, 103, 104, 105, 106],
+    310: [92, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    320: [92, 100, 101, 102, 103, 104, 105, 106, 107],
+    330: [92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    340: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    350: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    360: [92, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    370: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    380: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    390: [92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    400: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    410: [92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    420: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    430: [92, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    440: [92, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    450: [92, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    460: [92],
+    470: [92],
+    480: [92],
+    490: [92]
+  },
+  90: {
+    0: [92, 93],
+    10: [91, 92, 93, 94],
+    20: [91, 92, 93, 94],
+    30: [91, 92, 93, 94],
+    40: [91, 92, 93, 94],
+    50: [91, 92, 93, 94],
+    60: [91, 92, 93, 94],
+    70: [91, 92, 93, 94, 95],
+    80: [91, 92, 93, 94, 95],
+    90: [91, 92, 93, 94, 95],
+    100: [91, 92, 93, 94, 95],
+    110: [91, 92, 93, 94, 95],
+    120: [91, 92, 93, 94, 95, 96],
+    130: [91, 92, 93, 94, 95, 96],
+    140: [91, 92, 93, 94, 95, 96],
+    150: [91, 92, 93, 94, 95, 96],
+    160: [91, 93, 94, 95, 96],
+    170: [91, 93, 94, 95, 96, 97],
+    180: [91, 93, 94, 95, 96, 97],
+    190: [91, 93, 94, 95, 96, 97],
+    200: [91, 94, 95, 96, 97, 98],
+    210: [91, 94, 95, 96, 97, 98],
+    220: [91, 94, 95, 96, 97, 98],
+    230: [91, 94, 95, 96, 97, 98, 99],
+    240: [91, 95, 96, 97, 98, 99],
+    250: [91, 94, 95, 96, 97, 98, 99, 100],
+    260: [91, 95, 96, 97, 98, 99, 100],
+    270: [91, 95, 96, 97, 98, 99, 100],
+    280: [91, 95, 96, 97, 98, 99, 100, 101, 102],
+    290: [91, 95, 96, 97, 98, 99, 100, 101, 102],
+    300: [91, 96, 97, 98, 99, 100, 101, 102, 103],
+    310: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    320: [91, 97, 98, 99, 100, 101, 102, 103, 104],
+    330: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    340: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    350: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    360: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    370: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    380: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    390: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    400: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    410: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    420: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    430: [91, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    440: [91, 127, 128, 129, 130, 131, 132, 133, 134],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  100: {
+    0: [91, 92, 93],
+    10: [91, 92, 93],
+    20: [91, 92, 93],
+    30: [91, 92, 93],
+    40: [91, 92, 93],
+    50: [91, 92, 93],
+    60: [91, 92, 93],
+    70: [91, 92, 93],
+    80: [91, 92, 93, 94],
+    90: [91, 92, 93, 94],
+    100: [91, 92, 93, 94],
+    110: [91, 92, 93, 94],
+    120: [91, 92, 93, 94],
+    130: [91, 92, 93, 94],
+    140: [91, 92, 93, 94, 95],
+    150: [91, 92, 93, 94, 95],
+    160: [91, 92, 93, 94, 95],
+    170: [91, 92, 93, 94, 95],
+    180: [91, 92, 93, 94, 95],
+    190: [91, 92, 93, 94, 95, 96],
+    200: [91, 92, 93, 94, 95, 96],
+    210: [91, 92, 93, 94, 95, 96],
+    220: [91, 92, 93, 94, 95, 96],
+    230: [91, 92, 93, 94, 95, 96, 97],
+    240: [91, 92, 93, 94, 95, 96, 97],
+    250: [91, 92, 93, 94, 95, 96, 97],
+    260: [91, 92, 93, 94, 95, 96, 97, 98],
+    270: [91, 92, 93, 94, 95, 96, 97, 98],
+    280: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    290: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    300: [91, 93, 94, 95, 96, 97, 98, 99],
+    310: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    320: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    330: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    340: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    350: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    360: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    370: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    380: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    390: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    400: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    410: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    420: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    430: [91, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  110: {
+    0: [90, 91, 92],
+    10: [90, 91, 92],
+    20: [90, 91, 92],
+    30: [90, 91, 92],
+    40: [90, 91, 92],
+    50: [90, 91, 92],
+    60: [90, 91, 92],
+    70: [90, 91, 92],
+    80: [90, 91, 92],
+    90: [90, 91, 92],
+    100: [90, 91, 92, 93],
+    110: [90, 91, 92, 93],
+    120: [90, 91, 92, 93],
+    130: [90, 91, 92, 93],
+    140: [90, 91, 92, 93],
+    150: [90, 91, 92, 93],
+    160: [90, 91, 92, 93],
+    170: [90, 91, 92, 93],
+    180: [90, 91, 92, 93, 94],
+    190: [90, 91, 92, 93, 94],
+    200: [90, 91, 92, 93, 94],
+    210: [90, 91, 92, 93, 94],
+    220: [90, 91, 92, 93, 94],
+    230: [90, 91, 92, 93, 94, 95],
+    240: [90, 91, 92, 93, 94, 95],
+    250: [90, 91, 92, 93, 94, 95],
+    260: [90, 91, 92, 93, 94, 95],
+    270: [90, 91, 92, 93, 94, 95, 96],
+    280: [90, 91, 92, 93, 94, 95, 96],
+    290: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    300: [90, 91, 92, 93, 94, 95, 96],
+    310: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    320: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    330: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    340: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    350: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    360: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    370: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    380: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    390: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    400: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    410: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    420: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    430: [99, 100, 101, 102, 103, 104, 105, 106]
+  },
+  120: {
+    0: [89, 90, 91],
+    10: [89, 90, 91],
+    20: [89, 90, 91],
+    30: [89, 90, 91],
+    40: [89, 90, 91],
+    50: [89, 90, 91],
+    60: [89, 90, 91],
+    70: [89, 90, 91],
+    80: [89, 90, 91],
+    90: [89, 90, 91],
+    100: [89, 90, 91],
+    110: [89, 90, 91],
+    120: [89, 90, 91],
+    130: [88, 89, 90, 91, 92],
+    140: [88, 89, 90, 91, 92],
+    150: [88, 89, 90, 91, 92],
+    160: [88, 89, 90, 91, 92],
+    170: [88, 89, 90, 91, 92],
+    180: [88, 89, 90, 91, 92],
+    190: [88, 89, 90, 91, 92],
+    200: [88, 89, 90, 91, 92],
+    210: [88, 89, 90, 91, 92],
+    220: [88, 89, 90, 91, 92],
+    230: [87, 88, 89, 90, 91, 92, 93],
+    240: [88, 89, 90, 91, 92],
+    250: [87, 88, 89, 90, 91, 92, 93],
+    260: [87, 88, 89, 90, 91, 92, 93],
+    270: [87, 88, 89, 90, 91, 92, 93],
+    280: [87, 88, 89, 90, 91, 92, 93],
+    290: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    300: [87, 88, 89, 90, 91, 92, 93],
+    310: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    320: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    330: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    340: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    350: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    360: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    370: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    380: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    390: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    400: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    410: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    420: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103]
+  },
+  130: {
+    0: [88, 89, 90],
+    10: [88, 89, 90],
+    20: [88, 89, 90],
+    30: [88, 89, 90],
+    40: [88, 89, 90],
+    50: [88, 89, 90],
+    60: [88, 89, 90],
+    70: [88, 89, 90],
+    80: [88, 89, 90],
+    90: [88, 89, 90],
+    100: [87, 88, 89, 90],
+    110: [87, 88, 89, 90],
+    120: [87, 88, 89, 90],
+    130: [87, 88, 89, 90],
+    140: [87, 88, 89, 90],
+    150: [87, 88, 89, 90],
+    160: [87, 88, 89, 90],
+    170: [87, 88, 89, 90],
+    180: [86, 87, 88, 89, 90],
+    190: [86, 87, 88, 89, 90],
+    200: [86, 87, 88, 89, 90],
+    210: [86, 87, 88, 89, 90],
+    220: [86, 87, 88, 89, 90],
+    230: [85, 86, 87, 88, 89, 90],
+    240: [85, 86, 87, 88, 89, 90],
+    250: [85, 86, 87, 88, 89, 90],
+    260: [85, 86, 87, 88, 89, 90],
+    270: [84, 85, 86, 87, 88, 89, 90],
+    280: [84, 85, 86, 87, 88, 89, 90],
+    290: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    300: [84, 85, 86, 87, 88, 89, 90],
+    310: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    320: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    330: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    340: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    350: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
+    360: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    370: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
+    380: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    390: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    400: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    410: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    420: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    430: [74, 75, 76, 77, 78, 79, 80, 81]
+  },
+  140: {
+    0: [87, 88, 89],
+    10: [87, 88, 89],
+    20: [87, 88, 89],
+    30: [87, 88, 89],
+    40: [87, 88, 89],
+    50: [87, 88, 89],
+    60: [87, 88, 89],
+    70: [87, 88, 89],
+    80: [86, 87, 88, 89],
+    90: [86, 87, 88, 89],
+    100: [86, 87, 88, 89],
+    110: [86, 87, 88, 89],
+    120: [86, 87, 88, 89],
+    130: [86, 87, 88, 89],
+    140: [85, 86, 87, 88, 89],
+    150: [85, 86, 87, 88, 89],
+    160: [85, 86, 87, 88, 89],
+    170: [85, 86, 87, 88, 89],
+    180: [85, 86, 87, 88, 89],
+    190: [84, 85, 86, 87, 88, 89],
+    200: [84, 85, 86, 87, 88, 89],
+    210: [84, 85, 86, 87, 88, 89],
+    220: [84, 85, 86, 87, 88, 89],
+    230: [83, 84, 85, 86, 87, 88, 89],
+    240: [83, 84, 85, 86, 87, 88, 89],
+    250: [83, 84, 85, 86, 87, 88, 89],
+    260: [82, 83, 84, 85, 86, 87, 88, 89],
+    270: [82, 83, 84, 85, 86, 87, 88, 89],
+    280: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    290: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    300: [81, 82, 83, 84, 85, 86, 87, 89],
+    310: [79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    320: [79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    330: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    340: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    350: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    360: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    370: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    380: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    390: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    400: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    410: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    420: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    430: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  150: {
+    0: [87, 88],
+    10: [86, 87, 88, 89],
+    20: [86, 87, 88, 89],
+    30: [86, 87, 88, 89],
+    40: [86, 87, 88, 89],
+    50: [86, 87, 88, 89],
+    60: [86, 87, 88, 89],
+    70: [85, 86, 87, 88, 89],
+    80: [85, 86, 87, 88, 89],
+    90: [85, 86, 87, 88, 89],
+    100: [85, 86, 87, 88, 89],
+    110: [85, 86, 87, 88, 89],
+    120: [84, 85, 86, 87, 88, 89],
+    130: [84, 85, 86, 87, 88, 89],
+    140: [84, 85, 86, 87, 88, 89],
+    150: [84, 85, 86, 87, 88, 89],
+    160: [84, 85, 86, 87, 89],
+    170: [83, 84, 85, 86, 87, 89],
+    180: [83, 84, 85, 86, 87, 89],
+    190: [83, 84, 85, 86, 87, 89],
+    200: [82, 83, 84, 85, 86, 89],
+    210: [82, 83, 84, 85, 86, 89],
+    220: [82, 83, 84, 85, 86, 89],
+    230: [81, 82, 83, 84, 85, 86, 89],
+    240: [81, 82, 83, 84, 85, 89],
+    250: [80, 81, 82, 83, 84, 85, 86, 89],
+    260: [80, 81, 82, 83, 84, 85, 89],
+    270: [80, 81, 82, 83, 84, 85, 89],
+    280: [78, 79, 80, 81, 82, 83, 84, 85, 89],
+    290: [78, 79, 80, 81, 82, 83, 84, 85, 89],
+    300: [77, 78, 79, 80, 81, 82, 83, 84, 89],
+    310: [76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    320: [76, 77, 78, 79, 80, 81, 82, 83, 89],
+    330: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    340: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    350: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    360: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    370: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    380: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    390: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    400: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    410: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    420: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    430: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 89],
+    440: [46, 47, 48, 49, 50, 51, 52, 53, 89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  160: {
+    0: [86, 87, 88],
+    10: [85, 86, 87, 88],
+    20: [85, 86, 87, 88],
+    30: [85, 86, 87, 88],
+    40: [85, 86, 87, 88],
+    50: [85, 86, 87, 88],
+    60: [84, 85, 86, 87, 88],
+    70: [84, 85, 86, 88],
+    80: [84, 85, 86, 88],
+    90: [84, 85, 86, 88],
+    100: [84, 85, 86, 88],
+    110: [83, 84, 85, 86, 88],
+    120: [83, 84, 85, 86, 88],
+    130: [83, 84, 85, 86, 88],
+    140: [83, 84, 85, 86, 88],
+    150: [82, 83, 84, 85, 88],
+    160: [82, 83, 84, 85, 88],
+    170: [82, 83, 84, 85, 88],
+    180: [81, 82, 83, 84, 85, 88],
+    190: [81, 82, 83, 84, 85, 88],
+    200: [81, 82, 83, 84, 88],
+    210: [80, 81, 82, 83, 84, 88],
+    220: [80, 81, 82, 83, 84, 88],
+    230: [79, 80, 81, 82, 83, 84, 88],
+    240: [79, 80, 81, 82, 83, 88],
+    250: [78, 79, 80, 81, 82, 83, 88],
+    260: [77, 78, 79, 80, 81, 82, 83, 88],
+    270: [77, 78, 79, 80, 81, 82, 88],
+    280: [76, 77, 78, 79, 80, 81, 82, 88],
+    290: [75, 76, 77, 78, 79, 80, 81, 82, 88],
+    300: [74, 75, 76, 77, 78, 79, 80, 81, 88],
+    310: [73, 74, 75, 76, 77, 78, 79, 80, 81, 88],
+    320: [73, 74, 75, 76, 77, 78, 79, 80, 88],
+    330: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88],
+    340: [70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    350: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    360: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 88],
+    370: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    380: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    390: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88],
+    400: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    410: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88],
+    420: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    430: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 88],
+    440: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 88],
+    450: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 88],
+    460: [88],
+    470: [88],
+    480: [88],
+    490: [88]
+  },
+  170: {
+    0: [85, 86, 87],
+    10: [85, 86, 87, 88],
+    20: [84, 85, 86, 87, 88],
+    30: [84, 85, 86, 87, 88],
+    40: [84, 85, 86, 87, 88],
+    50: [84, 85, 86, 87, 88],
+    60: [83, 84, 85, 87, 88],
+    70: [83, 84, 85, 87, 88],
+    80: [83, 84, 85, 87, 88],
+    90: [83, 84, 85, 87, 88],
+    100: [82, 83, 84, 85, 87, 88],
+    110: [82, 83, 84, 85, 87, 88],
+    120: [82, 83, 84, 85, 87, 88],
+    130: [81, 82, 83, 84, 88],
+    140: [81, 82, 83, 84, 88],
+    150: [81, 82, 83, 84, 88],
+    160: [81, 82, 83, 84, 88],
+    170: [80, 81, 82, 83, 84, 88],
+    180: [80, 81, 82, 83, 88],
+    190: [79, 80, 81, 82, 83, 88],
+    200: [79, 80, 81, 82, 83, 88],
+    210: [78, 79, 80, 81, 82, 88],
+    220: [78, 79, 80, 81, 82, 88],
+    230: [77, 78, 79, 80, 81, 82, 88],
+    240: [77, 78, 79, 80, 81, 88],
+    250: [76, 77, 78, 79, 80, 81, 88],
+    260: [75, 76, 77, 78, 79, 80, 88],
+    270: [74, 75, 76, 77, 78, 79, 80, 88],
+    280: [73, 74, 75, 76, 77, 78, 79, 80, 88],
+    290: [73, 74, 75, 76, 77, 78, 88],
+    300: [71, 72, 73, 74, 75, 76, 77, 78, 79, 88],
+    310: [70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    320: [69, 70, 71, 72, 73, 74, 75, 76, 77, 88],
+    330: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    340: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 88],
+    350: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    360: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 88],
+    370: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 88],
+    380: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88],
+    390: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88],
+    400: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    410: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    420: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 88],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 88],
+    440: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 88],
+    450: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 88],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 88, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 88, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [88, 348, 349, 350, 351, 352, 353, 354, 355]
+  },
+  180: {
+    0: [84, 85, 87],
+    10: [84, 85, 87],
+    20: [83, 84, 85, 87],
+    30: [83, 84, 85, 87],
+    40: [83, 84, 85, 87],
+    50: [83, 84, 85, 87],
+    60: [82, 83, 84, 87],
+    70: [82, 83, 84, 87],
+    80: [82, 83, 84, 87],
+    90: [81, 82, 83, 84, 87],
+    100: [81, 82, 83, 84, 87],
+    110: [81, 82, 83, 87],
+    120: [80, 81, 82, 83, 87],
+    130: [80, 81, 82, 83, 87],
+    140: [80, 81, 82, 83, 87],
+    150: [79, 80, 81, 82, 87],
+    160: [79, 80, 81, 82, 87],
+    170: [78, 79, 80, 81, 82, 87],
+    180: [78, 79, 80, 81, 82, 87],
+    190: [77, 78, 79, 80, 81, 87],
+    200: [77, 78, 79, 80, 81, 87],
+    210: [76, 77, 78, 79, 80, 81, 87],
+    220: [76, 77, 78, 79, 80, 87],
+    230: [75, 76, 77, 78, 79, 87],
+    240: [74, 75, 76, 77, 78, 79, 87],
+    250: [73, 74, 75, 76, 77, 78, 79, 87],
+    260: [73, 74, 75, 76, 77, 78, 87, 88],
+    270: [72, 73, 74, 75, 76, 77, 78, 87, 88],
+    280: [71, 72, 73, 74, 75, 76, 77, 87, 88],
+    290: [70, 71, 72, 73, 74, 75, 76, 87, 88],
+    300: [68, 69, 70, 71, 72, 73, 74, 75, 76, 87, 88],
+    310: [68, 69, 70, 71, 72, 73, 74, 87, 88],
+    320: [66, 67, 68, 69, 70, 71, 72, 73, 74, 87, 88],
+    330: [64, 65, 66, 67, 68, 69, 70, 71, 72, 87, 88],
+    340: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 87, 88],
+    350: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87, 88],
+    360: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 87, 88],
+    370: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 87, 88],
+    380: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 87, 88],
+    390: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87, 88],
+    400: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 87, 88],
+    410: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 88],
+    420: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 88],
+    430: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 88],
+    440: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 88],
+    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 88],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 88, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [88, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [348, 349]
+  },
+  190: {
+    0: [83, 84, 85, 86],
+    10: [83, 84, 86, 87],
+    20: [82, 83, 84, 86, 87],
+    30: [82, 83, 84, 86, 87],
+    40: [82, 83, 84, 86, 87],
+    50: [82, 83, 84, 86, 87],
+    60: [81, 82, 83, 86, 87],
+    70: [81, 82, 83, 86, 87],
+    80: [81, 82, 83, 86, 87],
+    90: [80, 81, 82, 83, 86, 87],
+    100: [80, 81, 82, 86, 87],
+    110: [79, 80, 81, 82, 87],
+    120: [79, 80, 81, 82, 87],
+    130: [79, 80, 81, 87],
+    140: [78, 79, 80, 81, 87],
+    150: [78, 79, 80, 81, 87],
+    160: [77, 78, 79, 80, 81, 87],
+    170: [77, 78, 79, 80, 87],
+    180: [76, 77, 78, 79, 80, 87],
+    190: [76, 77, 78, 79, 87],
+    200: [75, 76, 77, 78, 79, 87],
+    210: [74, 75, 76, 77, 78, 79, 87],
+    220: [74, 75, 76, 77, 78, 87],
+    230: [73, 74, 75, 76, 77, 78, 87],
+    240: [72, 73, 74, 75, 76, 77, 87],
+    250: [71, 72, 73, 74, 75, 76, 87],
+    260: [71, 72, 73, 74, 75, 76, 87],
+    270: [69, 70, 71, 72, 73, 74, 75, 87],
+    280: [69, 70, 71, 72, 73, 74, 87],
+    290: [67, 68, 69, 70, 71, 72, 73, 74, 87],
+    300: [66, 67, 68, 69, 70, 71, 72, 73, 87],
+    310: [65, 66, 67, 68, 69, 70, 71, 72, 87],
+    320: [63, 64, 65, 66, 67, 68, 69, 70, 71, 87],
+    330: [62, 63, 64, 65, 66, 67, 68, 69, 87],
+    340: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 87],
+    350: [58, 59, 60, 61, 62, 63, 64, 65, 66, 87],
+    360: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 87],
+    370: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87],
+    380: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 87],
+    390: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 87],
+    400: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 87],
+    410: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 87],
+    420: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 87],
+    430: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 87],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 87],
+    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 87],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 87, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 87, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [87, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357]
+  },
+  200: {
+    0: [82, 83, 84, 86],
+    10: [82, 83, 86],
+    20: [82, 83, 86],
+    30: [81, 82, 83, 86],
+    40: [81, 82, 83, 86],
+    50: [81, 82, 86],
+    60: [80, 81, 82, 86],
+    70: [80, 81, 82, 86],
+    80: [79, 80, 81, 82, 86],
+    90: [79, 80, 81, 86],
+    100: [79, 80, 81, 86],
+    110: [78, 79, 80, 81, 86],
+    120: [78, 79, 80, 86],
+    130: [77, 78, 79, 80, 86],
+    140: [77, 78, 79, 80, 86],
+    150: [76, 77, 78, 79, 80, 86],
+    160: [76, 77, 78, 79, 86],
+    170: [75, 76, 77, 78, 79, 86],
+    180: [75, 76, 77, 78, 86],
+    190: [74, 75, 76, 77, 78, 86],
+    200: [73, 74, 75, 76, 77, 86, 87],
+    210: [73, 74, 75, 76, 77, 86, 87],
+    220: [72, 73, 74, 75, 76, 86, 87],
+    230: [71, 72, 73, 74, 75, 76, 86, 87],
+    240: [70, 71, 72, 73, 74, 75, 86, 87],
+    250: [70, 71, 72, 73, 74, 86, 87],
+    260: [68, 69, 70, 71, 72, 73, 74, 86, 87],
+    270: [67, 68, 69, 70, 71, 72, 73, 86, 87],
+    280: [66, 67, 68, 69, 70, 71, 72, 86, 87],
+    290: [65, 66, 67, 68, 69, 70, 71, 87],
+    300: [64, 65, 66, 67, 68, 69, 70, 87],
+    310: [62, 63, 64, 65, 66, 67, 68, 69, 87],
+    320: [60, 61, 62, 63, 64, 65, 66, 67, 87],
+    330: [58, 59, 60, 61, 62, 63, 64, 65, 66, 87],
+    340: [56, 57, 58, 59, 60, 61, 62, 63, 64, 87],
+    350: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 87],
+    360: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 87],
+    370: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
+    380: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 87],
+    390: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 87],
+    400: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 87],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 87],
+    420: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 87],
+    430: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 87],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 87],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 87],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 87, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 87, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [87, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [352]
+  },
+  210: {
+    0: [81, 82, 83, 85],
+    10: [81, 82, 83, 85],
+    20: [81, 82, 85, 86],
+    30: [80, 81, 82, 85, 86],
+    40: [80, 81, 82, 85, 86],
+    50: [79, 80, 81, 85, 86],
+    60: [79, 80, 81, 85, 86],
+    70: [79, 80, 81, 85, 86],
+    80: [78, 79, 80, 81, 85, 86],
+    90: [78, 79, 80, 85, 86],
+    100: [78, 79, 80, 86],
+    110: [77, 78, 79, 80, 86],
+    120: [77, 78, 79, 86],
+    130: [76, 77, 78, 79, 86],
+    140: [75, 76, 77, 78, 79, 86],
+    150: [75, 76, 77, 78, 86],
+    160: [74, 75, 76, 77, 78, 86],
+    170: [74, 75, 76, 77, 86],
+    180: [73, 74, 75, 76, 77, 86],
+    190: [72, 73, 74, 75, 76, 86],
+    200: [72, 73, 74, 75, 76, 86],
+    210: [71, 72, 73, 74, 75, 86],
+    220: [70, 71, 72, 73, 74, 86],
+    230: [69, 70, 71, 72, 73, 74, 86],
+    240: [68, 69, 70, 71, 72, 73, 86],
+    250: [67, 68, 69, 70, 71, 72, 86],
+    260: [66, 67, 68, 69, 70, 71, 72, 86],
+    270: [65, 66, 67, 68, 69, 70, 86],
+    280: [64, 65, 66, 67, 68, 69, 70, 86],
+    290: [63, 64, 65, 66, 67, 68, 86],
+    300: [61, 62, 63, 64, 65, 66, 67, 68, 86],
+    310: [59, 60, 61, 62, 63, 64, 65, 66, 86],
+    320: [58, 59, 60, 61, 62, 63, 64, 65, 86],
+    330: [55, 56, 57, 58, 59, 60, 61, 62, 63, 86],
+    340: [54, 55, 56, 57, 58, 59, 60, 61, 86],
+    350: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 86],
+    360: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 86],
+    370: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 86],
+    380: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 86],
+    390: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 86],
+    400: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 86],
+    410: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 86],
+    420: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 86],
+    430: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 86],
+    440: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 86],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 86],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 86, 358, 359],
+    480: [0, 1, 2, 3, 4, 86, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [86, 352, 353, 354, 355, 356, 357, 358]
+  },
+  220: {
+    0: [81, 82],
+    10: [80, 81, 82, 84, 85],
+    20: [80, 81, 84, 85],
+    30: [79, 80, 81, 85],
+    40: [79, 80, 81, 85],
+    50: [78, 79, 80, 85],
+    60: [78, 79, 80, 85],
+    70: [78, 79, 80, 85],
+    80: [77, 78, 79, 85],
+    90: [77, 78, 79, 85],
+    100: [76, 77, 78, 79, 85],
+    110: [76, 77, 78, 85],
+    120: [75, 76, 77, 78, 85],
+    130: [75, 76, 77, 78, 85],
+    140: [74, 75, 76, 77, 85, 86],
+    150: [74, 75, 76, 77, 85, 86],
+    160: [73, 74, 75, 76, 85, 86],
+    170: [72, 73, 74, 75, 76, 85, 86],
+    180: [72, 73, 74, 75, 85, 86],
+    190: [71, 72, 73, 74, 75, 85, 86],
+    200: [70, 71, 72, 73, 74, 85, 86],
+    210: [69, 70, 71, 72, 73, 85, 86],
+    220: [68, 69, 70, 71, 72, 73, 85, 86],
+    230: [67, 68, 69, 70, 71, 72, 85, 86],
+    240: [67, 68, 69, 70, 71, 86],
+    250: [65, 66, 67, 68, 69, 70, 86],
+    260: [64, 65, 66, 67, 68, 69, 86],
+    270: [63, 64, 65, 66, 67, 68, 69, 86],
+    280: [62, 63, 64, 65, 66, 67, 86],
+    290: [61, 62, 63, 64, 65, 66, 86],
+    300: [59, 60, 61, 62, 63, 64, 65, 86],
+    310: [57, 58, 59, 60, 61, 62, 63, 86],
+    320: [55, 56, 57, 58, 59, 60, 61, 62, 86],
+    330: [54, 55, 56, 57, 58, 59, 60, 86],
+    340: [51, 52, 53, 54, 55, 56, 57, 58, 59, 86],
+    350: [49, 50, 51, 52, 53, 54, 55, 56, 86],
+    360: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 86],
+    370: [44, 45, 46, 47, 48, 49, 50, 51, 52, 86],
+    380: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 86],
+    390: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 86],
+    400: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 86],
+    410: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 86],
+    420: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 86],
+    430: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 86],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 86],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 86],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 86, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 86, 354, 355, 356, 357, 358, 359],
+    490: [0, 86, 354, 355, 356, 357, 358, 359],
+    500: [354]
+  },
+  230: {
+    0: [80, 81],
+    10: [79, 80, 81, 84],
+    20: [79, 80, 84],
+    30: [78, 79, 80, 84, 85],
+    40: [78, 79, 80, 84, 85],
+    50: [78, 79, 84, 85],
+    60: [77, 78, 79, 84, 85],
+    70: [77, 78, 79, 84, 85],
+    80: [76, 77, 78, 84, 85],
+    90: [76, 77, 78, 84, 85],
+    100: [75, 76, 77, 78, 85],
+    110: [75, 76, 77, 85],
+    120: [74, 75, 76, 77, 85],
+    130: [73, 74, 75, 76, 85],
+    140: [73, 74, 75, 76, 85],
+    150: [72, 73, 74, 75, 85],
+    160: [72, 73, 74, 75, 85],
+    170: [71, 72, 73, 74, 85],
+    180: [70, 71, 72, 73, 74, 85],
+    190: [69, 70, 71, 72, 73, 85],
+    200: [69, 70, 71, 72, 85],
+    210: [68, 69, 70, 71, 72, 85],
+    220: [67, 68, 69, 70, 71, 85],
+    230: [66, 67, 68, 69, 70, 85],
+    240: [65, 66, 67, 68, 69, 85],
+    250: [64, 65, 66, 67, 68, 85],
+    260: [63, 64, 65, 66, 67, 85],
+    270: [61, 62, 63, 64, 65, 66, 85],
+    280: [60, 61, 62, 63, 64, 65, 85],
+    290: [58, 59, 60, 61, 62, 63, 64, 85],
+    300: [57, 58, 59, 60, 61, 62, 85],
+    310: [55, 56, 57, 58, 59, 60, 61, 85],
+    320: [53, 54, 55, 56, 57, 58, 59, 60, 85],
+    330: [51, 52, 53, 54, 55, 56, 57, 58, 85],
+    340: [49, 50, 51, 52, 53, 54, 55, 56, 85],
+    350: [46, 47, 48, 49, 50, 51, 52, 53, 54, 85],
+    360: [44, 45, 46, 47, 48, 49, 50, 51, 85],
+    370: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 85, 86],
+    380: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 85, 86],
+    390: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 85, 86],
+    400: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 85, 86],
+    410: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 85, 86],
+    420: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 85, 86],
+    430: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 85, 86],
+    440: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 86],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 86],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 86, 359],
+    480: [0, 1, 2, 3, 4, 86, 354, 355, 356, 357, 358, 359],
+    490: [86, 354, 355, 356, 357, 358, 359]
+  },
+  240: {
+    0: [79, 80],
+    10: [78, 79, 80, 83, 84],
+    20: [78, 79, 80, 83, 84],
+    30: [78, 79, 83, 84],
+    40: [77, 78, 79, 84],
+    50: [77, 78, 84],
+    60: [76, 77, 78, 84],
+    70: [76, 77, 78, 84],
+    80: [75, 76, 77, 84],
+    90: [75, 76, 77, 84],
+    100: [74, 75, 76, 84],
+    110: [73, 74, 75, 76, 84],
+    120: [73, 74, 75, 84],
+    130: [72, 73, 74, 75, 84, 85],
+    140: [72, 73, 74, 84, 85],
+    150: [71, 72, 73, 74, 84, 85],
+    160: [70, 71, 72, 73, 84, 85],
+    170: [69, 70, 71, 72, 73, 84, 85],
+    180: [69, 70, 71, 72, 84, 85],
+    190: [68, 69, 70, 71, 84, 85],
+    200: [67, 68, 69, 70, 71, 84, 85],
+    210: [66, 67, 68, 69, 70, 85],
+    220: [65, 66, 67, 68, 69, 85],
+    230: [64, 65, 66, 67, 68, 85],
+    240: [63, 64, 65, 66, 67, 85],
+    250: [62, 63, 64, 65, 66, 85],
+    260: [61, 62, 63, 64, 65, 66, 85],
+    270: [59, 60, 61, 62, 63, 64, 85],
+    280: [58, 59, 60, 61, 62, 63, 85],
+    290: [56, 57, 58, 59, 60, 61, 62, 85],
+    300: [55, 56, 57, 58, 59, 60, 61, 85],
+    310: [53, 54, 55, 56, 57, 58, 59, 85],
+    320: [51, 52, 53, 54, 55, 56, 57, 85],
+    330: [49, 50, 51, 52, 53, 54, 55, 56, 85],
+    340: [47, 48, 49, 50, 51, 52, 53, 54, 85],
+    350: [44, 45, 46, 47, 48, 49, 50, 51, 52, 85],
+    360: [42, 43, 44, 45, 46, 47, 48, 49, 50, 85],
+    370: [39, 40, 41, 42, 43, 44, 45, 46, 85],
+    380: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 85],
+    390: [33, 34, 35, 36, 37, 38, 39, 40, 41, 85],
+    400: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 85],
+    410: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 85],
+    420: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 85],
+    430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 85],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 85],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 85],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 85, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 85, 356, 357, 358, 359],
+    490: [0, 85, 356, 357, 358, 359],
+    500: [85]
+  },
+  250: {
+    0: [78, 79, 80, 83],
+    10: [78, 79, 83],
+    20: [77, 78, 79, 83],
+    30: [77, 78, 83],
+    40: [76, 77, 78, 83, 84],
+    50: [76, 77, 78, 83, 84],
+    60: [75, 76, 77, 83, 84],
+    70: [75, 76, 77, 83, 84],
+    80: [74, 75, 76, 83, 84],
+    90: [74, 75, 76, 83, 84],
+    100: [73, 74, 75, 84],
+    110: [72, 73, 74, 75, 84],
+    120: [72, 73, 74, 84],
+    130: [71, 72, 73, 74, 84],
+    140: [70, 71, 72, 73, 84],
+    150: [70, 71, 72, 73, 84],
+    160: [69, 70, 71, 72, 84],
+    170: [68, 69, 70, 71, 84],
+    180: [67, 68, 69, 70, 71, 84],
+    190: [66, 67, 68, 69, 70, 84],
+    200: [65, 66, 67, 68, 69, 84],
+    210: [65, 66, 67, 68, 84],
+    220: [64, 65, 66, 67, 68, 84],
+    230: [62, 63, 64, 65, 66, 67, 84],
+    240: [62, 63, 64, 65, 66, 84],
+    250: [60, 61, 62, 63, 64, 65, 84],
+    260: [59, 60, 61, 62, 63, 84],
+    270: [58, 59, 60, 61, 62, 84],
+    280: [56, 57, 58, 59, 60, 61, 84],
+    290: [55, 56, 57, 58, 59, 60, 84],
+    300: [53, 54, 55, 56, 57, 58, 59, 84, 85],
+    310: [51, 52, 53, 54, 55, 56, 57, 84, 85],
+    320: [49, 50, 51, 52, 53, 54, 55, 84, 85],
+    330: [47, 48, 49, 50, 51, 52, 53, 84, 85],
+    340: [44, 45, 46, 47, 48, 49, 50, 51, 52, 84, 85],
+    350: [43, 44, 45, 46, 47, 48, 49, 84, 85],
+    360: [39, 40, 41, 42, 43, 44, 45, 46, 47, 85],
+    370: [37, 38, 39, 40, 41, 42, 43, 44, 45, 85],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 85],
+    390: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 85],
+    400: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 85],
+    410: [25, 26, 27, 28, 29, 30, 31, 32, 85],
+    420: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 85],
+    430: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 85],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 85],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 85],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 85, 359],
+    480: [0, 1, 2, 3, 4, 85, 356, 357, 358, 359],
+    490: [0, 85, 356, 357, 358, 359],
+    500: [85]
+  },
+  260: {
+    0: [77, 78, 79],
+    10: [77, 78, 82, 83],
+    20: [76, 77, 78, 82, 83],
+    30: [76, 77, 78, 82, 83],
+    40: [75, 76, 77, 83],
+    50: [75, 76, 77, 83],
+    60: [74, 75, 76, 83],
+    70: [74, 75, 76, 83],
+    80: [73, 74, 75, 83],
+    90: [72, 73, 74, 75, 83],
+    100: [72, 73, 74, 83],
+    110: [71, 72, 73, 74, 83],
+    120: [71, 72, 73, 83, 84],
+    130: [70, 71, 72, 73, 83, 84],
+    140: [69, 70, 71, 72, 83, 84],
+    150: [68, 69, 70, 71, 83, 84],
+    160: [68, 69, 70, 71, 83, 84],
+    170: [67, 68, 69, 70, 83, 84],
+    180: [66, 67, 68, 69, 84],
+    190: [65, 66, 67, 68, 84],
+    200: [64, 65, 66, 67, 68, 84],
+    210: [63, 64, 65, 66, 67, 84],
+    220: [62, 63, 64, 65, 66, 84],
+    230: [61, 62, 63, 64, 65, 84],
+    240: [60, 61, 62, 63, 64, 84],
+    250: [58, 59, 60, 61, 62, 63, 84],
+    260: [58, 59, 60, 61, 62, 84],
+    270: [56, 57, 58, 59, 60, 61, 84],
+    280: [54, 55, 56, 57, 58, 59, 84],
+    290: [53, 54, 55, 56, 57, 58, 84],
+    300: [51, 52, 53, 54, 55, 56, 84],
+    310: [49, 50, 51, 52, 53, 54, 55, 84],
+    320: [47, 48, 49, 50, 51, 52, 53, 84],
+    330: [45, 46, 47, 48, 49, 50, 51, 52, 84],
+    340: [43, 44, 45, 46, 47, 48, 49, 84],
+    350: [40, 41, 42, 43, 44, 45, 46, 47, 48, 84],
+    360: [38, 39, 40, 41, 42, 43, 44, 45, 84],
+    370: [35, 36, 37, 38, 39, 40, 41, 42, 43, 84],
+    380: [32, 33, 34, 35, 36, 37, 38, 39, 40, 84],
+    390: [30, 31, 32, 33, 34, 35, 36, 37, 84],
+    400: [26, 27, 28, 29, 30, 31, 32, 33, 34, 84],
+    410: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 84],
+    420: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 84],
+    430: [16, 17, 18, 19, 20, 21, 22, 23, 24, 84],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 84],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 84],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 84, 359],
+    480: [0, 1, 2, 3, 4, 5, 84, 357, 358, 359],
+    490: [0, 1, 357, 358, 359]
+  },
+  270: {
+    0: [77, 78],
+    10: [76, 77, 78, 82],
+    20: [75, 76, 77, 82],
+    30: [75, 76, 77, 82],
+    40: [74, 75, 76, 82, 83],
+    50: [74, 75, 76, 82, 83],
+    60: [73, 74, 75, 82, 83],
+    70: [73, 74, 75, 82, 83],
+    80: [72, 73, 74, 82, 83],
+    90: [71, 72, 73, 74, 82, 83],
+    100: [71, 72, 73, 83],
+    110: [70, 71, 72, 83],
+    120: [69, 70, 71, 72, 83],
+    130: [69, 70, 71, 83],
+    140: [68, 69, 70, 71, 83],
+    150: [67, 68, 69, 70, 83],
+    160: [66, 67, 68, 69, 83],
+    170: [65, 66, 67, 68, 69, 83],
+    180: [65, 66, 67, 68, 83],
+    190: [64, 65, 66, 67, 83],
+    200: [63, 64, 65, 66, 83],
+    210: [62, 63, 64, 65, 83],
+    220: [61, 62, 63, 64, 83],
+    230: [60, 61, 62, 63, 64, 83, 84],
+    240: [58, 59, 60, 61, 62, 83, 84],
+    250: [57, 58, 59, 60, 61, 83, 84],
+    260: [56, 57, 58, 59, 60, 83, 84],
+    270: [54, 55, 56, 57, 58, 59, 83, 84],
+    280: [53, 54, 55, 56, 57, 58, 83, 84],
+    290: [51, 52, 53, 54, 55, 56, 83, 84],
+    300: [49, 50, 51, 52, 53, 54, 55, 83, 84],
+    310: [47, 48, 49, 50, 51, 52, 53, 84],
+    320: [46, 47, 48, 49, 50, 51, 84],
+    330: [43, 44, 45, 46, 47, 48, 49, 84],
+    340: [41, 42, 43, 44, 45, 46, 47, 48, 84],
+    350: [39, 40, 41, 42, 43, 44, 45, 84],
+    360: [36, 37, 38, 39, 40, 41, 42, 43, 84],
+    370: [34, 35, 36, 37, 38, 39, 40, 41, 84],
+    380: [31, 32, 33, 34, 35, 36, 37, 38, 84],
+    390: [28, 29, 30, 31, 32, 33, 34, 35, 36, 84],
+    400: [25, 26, 27, 28, 29, 30, 31, 32, 33, 84],
+    410: [22, 23, 24, 25, 26, 27, 28, 29, 84],
+    420: [18, 19, 20, 21, 22, 23, 24, 25, 26, 84],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 84],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 84],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 84],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 84],
+    480: [0, 1, 2, 3, 4, 5, 84, 358, 359],
+    490: [0, 1, 84, 357, 358, 359]
+  },
+  280: {
+    0: [76, 77],
+    10: [75, 76, 77, 81, 82],
+    20: [75, 76, 81, 82],
+    30: [74, 75, 76, 81, 82],
+    40: [73, 74, 75, 81, 82],
+    50: [73, 74, 75, 82],
+    60: [72, 73, 74, 82],
+    70: [72, 73, 74, 82],
+    80: [71, 72, 73, 82],
+    90: [70, 71, 72, 73, 82],
+    100: [70, 71, 72, 82],
+    110: [69, 70, 71, 82, 83],
+    120: [68, 69, 70, 71, 82, 83],
+    130: [68, 69, 70, 82, 83],
+    140: [67, 68, 69, 70, 82, 83],
+    150: [66, 67, 68, 69, 82, 83],
+    160: [65, 66, 67, 68, 82, 83],
+    170: [64, 65, 66, 67, 83],
+    180: [64, 65, 66, 67, 83],
+    190: [62, 63, 64, 65, 66, 83],
+    200: [61, 62, 63, 64, 65, 83],
+    210: [60, 61, 62, 63, 64, 83],
+    220: [59, 60, 61, 62, 63, 83],
+    230: [58, 59, 60, 61, 62, 83],
+    240: [57, 58, 59, 60, 61, 83],
+    250: [56, 57, 58, 59, 60, 83],
+    260: [54, 55, 56, 57, 58, 83],
+    270: [53, 54, 55, 56, 57, 83],
+    280: [51, 52, 53, 54, 55, 56, 83],
+    290: [50, 51, 52, 53, 54, 55, 83],
+    300: [48, 49, 50, 51, 52, 53, 83],
+    310: [46, 47, 48, 49, 50, 51, 83],
+    320: [44, 45, 46, 47, 48, 49, 50, 83],
+    330: [42, 43, 44, 45, 46, 47, 48, 83],
+    340: [40, 41, 42, 43, 44, 45, 83],
+    350: [37, 38, 39, 40, 41, 42, 43, 44, 83],
+    360: [36, 37, 38, 39, 40, 41, 83],
+    370: [32, 33, 34, 35, 36, 37, 38, 39, 83],
+    380: [30, 31, 32, 33, 34, 35, 36, 37, 83],
+    390: [27, 28, 29, 30, 31, 32, 33, 34, 83],
+    400: [24, 25, 26, 27, 28, 29, 30, 31, 83],
+    410: [20, 21, 22, 23, 24, 25, 26, 27, 28, 83, 84],
+    420: [17, 18, 19, 20, 21, 22, 23, 24, 25, 83, 84],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 83, 84],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 83, 84],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 83, 84],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 84],
+    480: [0, 1, 2, 3, 4, 5, 84, 358, 359],
+    490: [0, 1, 358, 359]
+  },
+  290: {
+    0: [75, 76],
+    10: [74, 75, 76, 81],
+    20: [74, 75, 76, 81],
+    30: [73, 74, 75, 81],
+    40: [73, 74, 81],
+    50: [72, 73, 74, 81, 82],
+    60: [71, 72, 73, 81, 82],
+    70: [71, 72, 73, 81, 82],
+    80: [70, 71, 72, 81, 82],
+    90: [69, 70, 71, 72, 81, 82],
+    100: [69, 70, 71, 82],
+    110: [68, 69, 70, 82],
+    120: [67, 68, 69, 70, 82],
+    130: [67, 68, 69, 82],
+    140: [66, 67, 68, 82],
+    150: [65, 66, 67, 68, 82],
+    160: [64, 65, 66, 67, 82],
+    170: [63, 64, 65, 66, 82],
+    180: [62, 63, 64, 65, 82],
+    190: [61, 62, 63, 64, 82],
+    200: [60, 61, 62, 63, 64, 82],
+    210: [59, 60, 61, 62, 63, 82, 83],
+    220: [58, 59, 60, 61, 62, 82, 83],
+    230: [57, 58, 59, 60, 61, 82, 83],
+    240: [55, 56, 57, 58, 59, 60, 82, 83],
+    250: [54, 55, 56, 57, 58, 82, 83],
+    260: [53, 54, 55, 56, 57, 82, 83],
+    270: [51, 52, 53, 54, 55, 56, 83],
+    280: [50, 51, 52, 53, 54, 83],
+    290: [48, 49, 50, 51, 52, 53, 83],
+    300: [47, 48, 49, 50, 51, 83],
+    310: [44, 45, 46, 47, 48, 49, 50, 83],
+    320: [43, 44, 45, 46, 47, 48, 83],
+    330: [40, 41, 42, 43, 44, 45, 46, 83],
+    340: [38, 39, 40, 41, 42, 43, 44, 83],
+    350: [36, 37, 38, 39, 40, 41, 42, 83],
+    360: [34, 35, 36, 37, 38, 39, 40, 83],
+    370: [31, 32, 33, 34, 35, 36, 37, 38, 83],
+    380: [29, 30, 31, 32, 33, 34, 35, 83],
+    390: [26, 27, 28, 29, 30, 31, 32, 33, 83],
+    400: [23, 24, 25, 26, 27, 28, 29, 30, 83],
+    410: [21, 22, 23, 24, 25, 26, 27, 83],
+    420: [17, 18, 19, 20, 21, 22, 23, 24, 83],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 21, 83],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 83],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 83],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 83],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 83],
+    480: [0, 1, 2, 3, 4, 5, 83, 359],
+    490: [0, 1, 83, 359]
+  },
+  300: {
+    0: [74, 75],
+    10: [74, 75, 80],
+    20: [73, 74, 75, 80, 81],
+    30: [73, 74, 80, 81],
+    40: [72, 73, 74, 80, 81],
+    50: [71, 72, 73, 80, 81],
+    60: [71, 72, 81],
+    70: [70, 71, 72, 81],
+    80: [69, 70, 71, 81],
+    90: [68, 69, 70, 71, 81],
+    100: [68, 69, 70, 81],
+    110: [67, 68, 69, 81, 82],
+    120: [66, 67, 68, 69, 81, 82],
+    130: [65, 66, 67, 68, 81, 82],
+    140: [65, 66, 67, 81, 82],
+    150: [64, 65, 66, 67, 81, 82],
+    160: [63, 64, 65, 66, 82],
+    170: [62, 63, 64, 65, 82],
+    180: [61, 62, 63, 64, 82],
+    190: [60, 61, 62, 63, 82],
+    200: [59, 60, 61, 62, 82],
+    210: [58, 59, 60, 61, 82],
+    220: [57, 58, 59, 60, 82],
+    230: [55, 56, 57, 58, 59, 82],
+    240: [54, 55, 56, 57, 58, 82],
+    250: [53, 54, 55, 56, 57, 82],
+    260: [51, 52, 53, 54, 55, 56, 82],
+    270: [50, 51, 52, 53, 54, 82],
+    280: [48, 49, 50, 51, 52, 53, 82],
+    290: [47, 48, 49, 50, 51, 82],
+    300: [45, 46, 47, 48, 49, 50, 82],
+    310: [44, 45, 46, 47, 48, 82],
+    320: [41, 42, 43, 44, 45, 46, 47, 82],
+    330: [40, 41, 42, 43, 44, 45, 82],
+    340: [37, 38, 39, 40, 41, 42, 43, 82],
+    350: [35, 36, 37, 38, 39, 40, 41, 82, 83],
+    360: [33, 34, 35, 36, 37, 38, 82, 83],
+    370: [30, 31, 32, 33, 34, 35, 36, 82, 83],
+    380: [27, 28, 29, 30, 31, 32, 33, 34, 82, 83],
+    390: [25, 26, 27, 28, 29, 30, 31, 82, 83],
+    400: [22, 23, 24, 25, 26, 27, 28, 83],
+    410: [19, 20, 21, 22, 23, 24, 25, 26, 83],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 83],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 83],
+    440: [11, 12, 13, 14, 15, 16, 17, 83],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 83],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 83],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 83],
+    480: [0, 1, 2, 3, 4, 5, 83, 359],
+    490: [0, 1, 83, 359]
+  },
+  310: {
+    0: [74, 75],
+    10: [73, 74, 75, 80],
+    20: [72, 73, 74, 79, 80],
+    30: [72, 73, 80],
+    40: [71, 72, 73, 80],
+    50: [70, 71, 72, 80],
+    60: [70, 71, 72, 80, 81],
+    70: [69, 70, 71, 80, 81],
+    80: [68, 69, 70, 80, 81],
+    90: [68, 69, 70, 80, 81],
+    100: [67, 68, 69, 81],
+    110: [66, 67, 68, 81],
+    120: [65, 66, 67, 68, 81],
+    130: [65, 66, 67, 81],
+    140: [64, 65, 66, 81],
+    150: [63, 64, 65, 81],
+    160: [62, 63, 64, 65, 81],
+    170: [61, 62, 63, 64, 81],
+    180: [60, 61, 62, 63, 81],
+    190: [59, 60, 61, 62, 81],
+    200: [58, 59, 60, 61, 81, 82],
+    210: [57, 58, 59, 60, 81, 82],
+    220: [55, 56, 57, 58, 59, 81, 82],
+    230: [54, 55, 56, 57, 58, 81, 82],
+    240: [53, 54, 55, 56, 57, 81, 82],
+    250: [52, 53, 54, 55, 82],
+    260: [50, 51, 52, 53, 54, 82],
+    270: [49, 50, 51, 52, 53, 82],
+    280: [47, 48, 49, 50, 51, 82],
+    290: [45, 46, 47, 48, 49, 50, 82],
+    300: [44, 45, 46, 47, 48, 82],
+    310: [42, 43, 44, 45, 46, 47, 82],
+    320: [40, 41, 42, 43, 44, 45, 82],
+    330: [38, 39, 40, 41, 42, 43, 82],
+    340: [36, 37, 38, 39, 40, 41, 82],
+    350: [34, 35, 36, 37, 38, 39, 82],
+    360: [31, 32, 33, 34, 35, 36, 37, 82],
+    370: [29, 30, 31, 32, 33, 34, 35, 82],
+    380: [27, 28, 29, 30, 31, 32, 82],
+    390: [24, 25, 26, 27, 28, 29, 30, 82],
+    400: [21, 22, 23, 24, 25, 26, 27, 28, 82],
+    410: [19, 20, 21, 22, 23, 24, 25, 82],
+    420: [16, 17, 18, 19, 20, 21, 22, 82],
+    430: [13, 14, 15, 16, 17, 18, 19, 82],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 82],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 82],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 82],
+    470: [1, 2, 3, 4, 5, 6, 7, 8, 82],
+    480: [0, 1, 2, 3, 4, 5, 82],
+    490: [0, 1, 2, 82]
+  },
+  320: {
+    0: [73, 74],
+    10: [72, 73, 74, 79],
+    20: [72, 73, 79, 80],
+    30: [71, 72, 73, 79, 80],
+    40: [70, 71, 72, 79, 80],
+    50: [70, 71, 79, 80],
+    60: [69, 70, 71, 80],
+    70: [68, 69, 70, 80],
+    80: [67, 68, 69, 70, 80],
+    90: [67, 68, 69, 80],
+    100: [66, 67, 68, 80],
+    110: [65, 66, 67, 80, 81],
+    120: [64, 65, 66, 67, 80, 81],
+    130: [63, 64, 65, 66, 80, 81],
+    140: [63, 64, 65, 80, 81],
+    150: [62, 63, 64, 80, 81],
+    160: [61, 62, 63, 64, 81],
+    170: [60, 61, 62, 63, 81],
+    180: [59, 60, 61, 62, 81],
+    190: [58, 59, 60, 61, 81],
+    200: [57, 58, 59, 60, 81],
+    210: [55, 56, 57, 58, 59, 81],
+    220: [54, 55, 56, 57, 58, 81],
+    230: [53, 54, 55, 56, 57, 81],
+    240: [52, 53, 54, 55, 81],
+    250: [51, 52, 53, 54, 81],
+    260: [49, 50, 51, 52, 53, 81],
+    270: [48, 49, 50, 51, 52, 81],
+    280: [46, 47, 48, 49, 50, 81],
+    290: [44, 45, 46, 47, 48, 49, 81],
+    300: [43, 44, 45, 46, 47, 81, 82],
+    310: [41, 42, 43, 44, 45, 81, 82],
+    320: [39, 40, 41, 42, 43, 44, 81, 82],
+    330: [37, 38, 39, 40, 41, 42, 81, 82],
+    340: [35, 36, 37, 38, 39, 40, 81, 82],
+    350: [33, 34, 35, 36, 37, 38, 82],
+    360: [31, 32, 33, 34, 35, 36, 82],
+    370: [28, 29, 30, 31, 32, 33, 34, 82],
+    380: [26, 27, 28, 29, 30, 31, 32, 82],
+    390: [24, 25, 26, 27, 28, 29, 82],
+    400: [21, 22, 23, 24, 25, 26, 82],
+    410: [18, 19, 20, 21, 22, 23, 24, 82],
+    420: [15, 16, 17, 18, 19, 20, 21, 22, 82],
+    430: [13, 14, 15, 16, 17, 18, 19, 82],
+    440: [10, 11, 12, 13, 14, 15, 16, 82],
+    450: [8, 9, 10, 11, 12, 13, 82],
+    460: [4, 5, 6, 7, 8, 9, 10, 82],
+    470: [1, 2, 3, 4, 5, 6, 7, 82],
+    480: [0, 1, 2, 3, 4, 82],
+    490: [0, 1, 2, 82]
+  },
+  330: {
+    0: [73],
+    10: [72, 73, 78, 79],
+    20: [71, 72, 73, 78, 79],
+    30: [70, 71, 72, 78, 79],
+    40: [70, 71, 79],
+    50: [69, 70, 71, 79],
+    60: [68, 69, 70, 79, 80],
+    70: [67, 68, 69, 79, 80],
+    80: [67, 68, 69, 79, 80],
+    90: [66, 67, 68, 79, 80],
+    100: [65, 66, 67, 80],
+    110: [64, 65, 66, 67, 80],
+    120: [63, 64, 65, 66, 80],
+    130: [63, 64, 65, 80],
+    140: [62, 63, 64, 80],
+    150: [61, 62, 63, 80],
+    160: [60, 61, 62, 80],
+    170: [59, 60, 61, 62, 80],
+    180: [58, 59, 60, 61, 80, 81],
+    190: [57, 58, 59, 60, 80, 81],
+    200: [56, 57, 58, 59, 80, 81],
+    210: [54, 55, 56, 57, 58, 80, 81],
+    220: [53, 54, 55, 56, 57, 81],
+    230: [52, 53, 54, 55, 81],
+    240: [51, 52, 53, 54, 81],
+    250: [49, 50, 51, 52, 53, 81],
+    260: [48, 49, 50, 51, 52, 81],
+    270: [46, 47, 48, 49, 50, 81],
+    280: [45, 46, 47, 48, 49, 81],
+    290: [43, 44, 45, 46, 47, 48, 81],
+    300: [42, 43, 44, 45, 46, 81],
+    310: [40, 41, 42, 43, 44, 81],
+    320: [38, 39, 40, 41, 42, 43, 81],
+    330: [36, 37, 38, 39, 40, 41, 81],
+    340: [34, 35, 36, 37, 38, 39, 81],
+    350: [32, 33, 34, 35, 36, 37, 81],
+    360: [30, 31, 32, 33, 34, 35, 81],
+    370: [28, 29, 30, 31, 32, 33, 81],
+    380: [25, 26, 27, 28, 29, 30, 81],
+    390: [23, 24, 25, 26, 27, 28, 81],
+    400: [20, 21, 22, 23, 24, 25, 26, 81],
+    410: [18, 19, 20, 21, 22, 23, 24, 81],
+    420: [15, 16, 17, 18, 19, 20, 21, 81],
+    430: [12, 13, 14, 15, 16, 17, 18, 81, 82],
+    440: [10, 11, 12, 13, 14, 15, 16, 81, 82],
+    450: [7, 8, 9, 10, 11, 12, 13, 81, 82],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 81, 82],
+    470: [1, 2, 3, 4, 5, 6, 7, 8, 81, 82],
+    480: [0, 1, 2, 3, 4, 5, 82],
+    490: [0, 1, 2, 3, 82],
+    500: [0]
+  },
+  340: {
+    0: [72],
+    10: [71, 72, 73, 78],
+    20: [70, 71, 72, 78],
+    30: [70, 71, 78, 79],
+    40: [69, 70, 71, 78, 79],
+    50: [68, 69, 70, 78, 79],
+    60: [67, 68, 69, 78, 79],
+    70: [67, 68, 69, 79],
+    80: [66, 67, 68, 79],
+    90: [65, 66, 67, 79],
+    100: [64, 65, 66, 79],
+    110: [63, 64, 65, 66, 79, 80],
+    120: [63, 64, 65, 79, 80],
+    130: [62, 63, 64, 79, 80],
+    140: [61, 62, 63, 79, 80],
+    150: [60, 61, 62, 80],
+    160: [59, 60, 61, 62, 80],
+    170: [58, 59, 60, 61, 80],
+    180: [57, 58, 59, 60, 80],
+    190: [56, 57, 58, 59, 80],
+    200: [55, 56, 57, 58, 80],
+    210: [53, 54, 55, 56, 57, 80],
+    220: [52, 53, 54, 55, 80],
+    230: [51, 52, 53, 54, 80],
+    240: [50, 51, 52, 53, 80],
+    250: [48, 49, 50, 51, 52, 80],
+    260: [47, 48, 49, 50, 51, 80],
+    270: [45, 46, 47, 48, 49, 80, 81],
+    280: [44, 45, 46, 47, 48, 80, 81],
+    290: [42, 43, 44, 45, 46, 80, 81],
+    300: [41, 42, 43, 44, 45, 80, 81],
+    310: [39, 40, 41, 42, 43, 80, 81],
+    320: [37, 38, 39, 40, 41, 42, 81],
+    330: [35, 36, 37, 38, 39, 40, 81],
+    340: [33, 34, 35, 36, 37, 38, 81],
+    350: [31, 32, 33, 34, 35, 36, 81],
+    360: [29, 30, 31, 32, 33, 34, 81],
+    370: [27, 28, 29, 30, 31, 32, 81],
+    380: [24, 25, 26, 27, 28, 29, 30, 81],
+    390: [22, 23, 24, 25, 26, 27, 28, 81],
+    400: [20, 21, 22, 23, 24, 25, 81],
+    410: [17, 18, 19, 20, 21, 22, 23, 81],
+    420: [15, 16, 17, 18, 19, 20, 21, 81],
+    430: [12, 13, 14, 15, 16, 17, 18, 81],
+    440: [10, 11, 12, 13, 14, 15, 16, 81],
+    450: [8, 9, 10, 11, 12, 13, 81],
+    460: [5, 6, 7, 8, 9, 10, 81],
+    470: [2, 3, 4, 5, 6, 7, 81],
+    480: [0, 1, 2, 3, 4, 5, 81],
+    490: [0, 1, 2, 81]
+  },
+  350: {
+    0: [71],
+    10: [71, 72, 77, 78],
+    20: [70, 71, 77, 78],
+    30: [69, 70, 71, 77, 78],
+    40: [68, 69, 70, 77, 78],
+    50: [67, 68, 69, 78],
+    60: [67, 68, 69, 78],
+    70: [66, 67, 68, 78, 79],
+    80: [65, 66, 67, 78, 79],
+    90: [64, 65, 66, 78, 79],
+    100: [63, 64, 65, 66, 78, 79],
+    110: [63, 64, 65, 79],
+    120: [62, 63, 64, 79],
+    130: [61, 62, 63, 79],
+    140: [60, 61, 62, 79],
+    150: [59, 60, 61, 79],
+    160: [58, 59, 60, 61, 79],
+    170: [57, 58, 59, 60, 79, 80],
+    180: [56, 57, 58, 59, 79, 80],
+    190: [55, 56, 57, 58, 79, 80],
+    200: [54, 55, 56, 57, 79, 80],
+    210: [52, 53, 54, 55, 56, 79, 80],
+    220: [51, 52, 53, 54, 55, 80],
+    230: [50, 51, 52, 53, 80],
+    240: [49, 50, 51, 52, 80],
+    250: [47, 48, 49, 50, 51, 80],
+    260: [46, 47, 48, 49, 80],
+    270: [44, 45, 46, 47, 48, 80],
+    280: [43, 44, 45, 46, 47, 80],
+    290: [41, 42, 43, 44, 45, 80],
+    300: [40, 41, 42, 43, 44, 80],
+    310: [38, 39, 40, 41, 42, 80],
+    320: [36, 37, 38, 39, 40, 80],
+    330: [34, 35, 36, 37, 38, 39, 80],
+    340: [32, 33, 34, 35, 36, 37, 80],
+    350: [30, 31, 32, 33, 34, 35, 80],
+    360: [28, 29, 30, 31, 32, 33, 80],
+    370: [26, 27, 28, 29, 30, 31, 80],
+    380: [24, 25, 26, 27, 28, 29, 80, 81],
+    390: [22, 23, 24, 25, 26, 27, 80, 81],
+    400: [19, 20, 21, 22, 23, 24, 25, 80, 81],
+    410: [17, 18, 19, 20, 21, 22, 80, 81],
+    420: [15, 16, 17, 18, 19, 20, 80, 81],
+    430: [12, 13, 14, 15, 16, 17, 81],
+    440: [10, 11, 12, 13, 14, 15, 81],
+    450: [7, 8, 9, 10, 11, 12, 13, 81],
+    460: [4, 5, 6, 7, 8, 9, 10, 81],
+    470: [2, 3, 4, 5, 6, 7, 8, 81],
+    480: [1, 2, 3, 4, 5, 81],
+    490: [1, 2, 3, 81]
+  },
+  360: {
+    0: [71],
+    10: [70, 71, 77],
+    20: [69, 70, 71, 76, 77],
+    30: [68, 69, 70, 77],
+    40: [68, 69, 77, 78],
+    50: [67, 68, 69, 77, 78],
+    60: [66, 67, 68, 77, 78],
+    70: [65, 66, 67, 77, 78],
+    80: [64, 65, 66, 78],
+    90: [64, 65, 66, 78],
+    100: [63, 64, 65, 78],
+    110: [62, 63, 64, 78, 79],
+    120: [61, 62, 63, 78, 79],
+    130: [60, 61, 62, 78, 79],
+    140: [59, 60, 61, 78, 79],
+    150: [58, 59, 60, 61, 78, 79],
+    160: [57, 58, 59, 60, 79],
+    170: [56, 57, 58, 59, 79],
+    180: [55, 56, 57, 58, 79],
+    190: [54, 55, 56, 57, 79],
+    200: [53, 54, 55, 56, 79],
+    210: [52, 53, 54, 55, 79],
+    220: [50, 51, 52, 53, 79],
+    230: [49, 50, 51, 52, 79],
+    240: [48, 49, 50, 51, 79],
+    250: [46, 47, 48, 49, 50, 79, 80],
+    260: [45, 46, 47, 48, 49, 79, 80],
+    270: [43, 44, 45, 46, 47, 79, 80],
+    280: [42, 43, 44, 45, 46, 79, 80],
+    290: [40, 41, 42, 43, 44, 80],
+    300: [39, 40, 41, 42, 43, 80],
+    310: [37, 38, 39, 40, 41, 80],
+    320: [35, 36, 37, 38, 39, 80],
+    330: [34, 35, 36, 37, 38, 80],
+    340: [31, 32, 33, 34, 35, 36, 80],
+    350: [30, 31, 32, 33, 34, 80],
+    360: [28, 29, 30, 31, 32, 80],
+    370: [25, 26, 27, 28, 29, 30, 80],
+    380: [23, 24, 25, 26, 27, 28, 80],
+    390: [21, 22, 23, 24, 25, 26, 80],
+    400: [19, 20, 21, 22, 23, 24, 80],
+    410: [17, 18, 19, 20, 21, 80],
+    420: [14, 15, 16, 17, 18, 19, 80],
+    430: [12, 13, 14, 15, 16, 17, 80],
+    440: [10, 11, 12, 13, 14, 15, 80],
+    450: [7, 8, 9, 10, 11, 12, 13, 80],
+    460: [5, 6, 7, 8, 9, 10, 80],
+    470: [3, 4, 5, 6, 7, 8, 80],
+    480: [1, 2, 3, 4, 5, 80],
+    490: [1, 2, 3]
+  },
+  370: {
+    10: [69, 70, 76],
+    20: [69, 70, 76, 77],
+    30: [68, 69, 70, 76, 77],
+    40: [67, 68, 69, 76, 77],
+    50: [66, 67, 68, 76, 77],
+    60: [65, 66, 67, 77],
+    70: [64, 65, 66, 77, 78],
+    80: [64, 65, 66, 77, 78],
+    90: [63, 64, 65, 77, 78],
+    100: [62, 63, 64, 77, 78],
+    110: [61, 62, 63, 78],
+    120: [60, 61, 62, 78],
+    130: [59, 60, 61, 62, 78],
+    140: [58, 59, 60, 61, 78],
+    150: [57, 58, 59, 60, 78],
+    160: [56, 57, 58, 59, 78],
+    170: [55, 56, 57, 58, 78, 79],
+    180: [54, 55, 56, 57, 78, 79],
+    190: [53, 54, 55, 56, 78, 79],
+    200: [52, 53, 54, 55, 78, 79],
+    210: [51, 52, 53, 54, 79],
+    220: [50, 51, 52, 53, 79],
+    230: [48, 49, 50, 51, 79],
+    240: [47, 48, 49, 50, 79],
+    250: [46, 47, 48, 49, 79],
+    260: [44, 45, 46, 47, 48, 79],
+    270: [43, 44, 45, 46, 79],
+    280: [41, 42, 43, 44, 45, 79],
+    290: [40, 41, 42, 43, 79],
+    300: [38, 39, 40, 41, 42, 79],
+    310: [36, 37, 38, 39, 40, 79],
+    320: [35, 36, 37, 38, 39, 79],
+    330: [33, 34, 35, 36, 37, 79],
+    340: [31, 32, 33, 34, 35, 79],
+    350: [29, 30, 31, 32, 33, 79, 80],
+    360: [27, 28, 29, 30, 31, 79, 80],
+    370: [25, 26, 27, 28, 29, 30, 79, 80],
+    380: [23, 24, 25, 26, 27, 28, 79, 80],
+    390: [21, 22, 23, 24, 25, 80],
+    400: [19, 20, 21, 22, 23, 80],
+    410: [16, 17, 18, 19, 20, 21, 80],
+    420: [14, 15, 16, 17, 18, 19, 80],
+    430: [12, 13, 14, 15, 16, 17, 80],
+    440: [10, 11, 12, 13, 14, 80],
+    450: [7, 8, 9, 10, 11, 12, 80],
+    460: [5, 6, 7, 8, 9, 10, 80],
+    470: [3, 4, 5, 6, 7, 8, 80],
+    480: [2, 3, 4, 5, 6, 80],
+    490: [2, 3, 80]
+  },
+  380: {
+    10: [69, 70, 76],
+    20: [68, 69, 70, 75, 76],
+    30: [67, 68, 69, 75, 76],
+    40: [66, 67, 68, 76],
+    50: [66, 67, 76, 77],
+    60: [65, 66, 67, 76, 77],
+    70: [64, 65, 66, 76, 77],
+    80: [63, 64, 65, 77],
+    90: [62, 63, 64, 77],
+    100: [61, 62, 63, 77],
+    110: [60, 61, 62, 77, 78],
+    120: [59, 60, 61, 62, 77, 78],
+    130: [58, 59, 60, 61, 77, 78],
+    140: [57, 58, 59, 60, 77, 78],
+    150: [56, 57, 58, 59, 78],
+    160: [55, 56, 57, 58, 78],
+    170: [54, 55, 56, 57, 78],
+    180: [53, 54, 55, 56, 78],
+    190: [52, 53, 54, 55, 78],
+    200: [51, 52, 53, 54, 78],
+    210: [50, 51, 52, 53, 78],
+    220: [49, 50, 51, 52, 78],
+    230: [47, 48, 49, 50, 51, 78],
+    240: [46, 47, 48, 49, 78, 79],
+    250: [45, 46, 47, 48, 78, 79],
+    260: [43, 44, 45, 46, 47, 78, 79],
+    270: [42, 43, 44, 45, 78, 79],
+    280: [40, 41, 42, 43, 44, 79],
+    290: [39, 40, 41, 42, 79],
+    300: [37, 38, 39, 40, 41, 79],
+    310: [36, 37, 38, 39, 79],
+    320: [34, 35, 36, 37, 38, 79],
+    330: [32, 33, 34, 35, 36, 79],
+    340: [30, 31, 32, 33, 34, 79],
+    350: [28, 29, 30, 31, 32, 33, 79],
+    360: [27, 28, 29, 30, 31, 79],
+    370: [25, 26, 27, 28, 29, 79],
+    380: [22, 23, 24, 25, 26, 27, 79],
+    390: [20, 21, 22, 23, 24, 25, 79],
+    400: [19, 20, 21, 22, 23, 79],
+    410: [16, 17, 18, 19, 20, 21, 79],
+    420: [14, 15, 16, 17, 18, 79],
+    430: [12, 13, 14, 15, 16, 17, 79],
+    440: [10, 11, 12, 13, 14, 15, 79],
+    450: [7, 8, 9, 10, 11, 12, 13, 79],
+    460: [5, 6, 7, 8, 9, 10, 79, 80],
+    470: [3, 4, 5, 6, 7, 8, 79, 80],
+    480: [2, 3, 4, 5, 6, 79, 80],
+    490: [2, 3, 4]
+  },
+  390: {
+    10: [69],
+    20: [68, 69, 75],
+    30: [67, 68, 69, 75, 76],
+    40: [66, 67, 68, 75, 76],
+    50: [65, 66, 67, 75, 76],
+    60: [64, 65, 66, 76],
+    70: [63, 64, 65, 76],
+    80: [62, 63, 64, 76, 77],
+    90: [61, 62, 63, 76, 77],
+    100: [60, 61, 62, 63, 76, 77],
+    110: [60, 61, 62, 76, 77],
+    120: [59, 60, 61, 77],
+    130: [58, 59, 60, 77],
+    140: [57, 58, 59, 77],
+    150: [56, 57, 58, 77],
+    160: [55, 56, 57, 77, 78],
+    170: [54, 55, 56, 77, 78],
+    180: [53, 54, 55, 77, 78],
+    190: [52, 53, 54, 77, 78],
+    200: [50, 51, 52, 53, 77, 78],
+    210: [49, 50, 51, 52, 78],
+    220: [48, 49, 50, 51, 78],
+    230: [47, 48, 49, 78],
+    240: [45, 46, 47, 48, 78],
+    250: [44, 45, 46, 47, 78],
+    260: [43, 44, 45, 46, 78],
+    270: [41, 42, 43, 44, 78],
+    280: [40, 41, 42, 43, 78],
+    290: [38, 39, 40, 41, 42, 78],
+    300: [37, 38, 39, 40, 78],
+    310: [35, 36, 37, 38, 39, 78],
+    320: [33, 34, 35, 36, 37, 78],
+    330: [31, 32, 33, 34, 35, 78, 79],
+    340: [30, 31, 32, 33, 34, 78, 79],
+    350: [28, 29, 30, 31, 32, 78, 79],
+    360: [26, 27, 28, 29, 30, 79],
+    370: [24, 25, 26, 27, 28, 79],
+    380: [22, 23, 24, 25, 26, 27, 79],
+    390: [20, 21, 22, 23, 24, 25, 79],
+    400: [18, 19, 20, 21, 22, 79],
+    410: [16, 17, 18, 19, 20, 21, 79],
+    420: [14, 15, 16, 17, 18, 19, 79],
+    430: [12, 13, 14, 15, 16, 17, 79],
+    440: [10, 11, 12, 13, 14, 79],
+    450: [8, 9, 10, 11, 12, 79],
+    460: [6, 7, 8, 9, 10, 79],
+    470: [3, 4, 5, 6, 7, 8, 79],
+    480: [2, 3, 4, 5, 6, 79],
+    490: [2, 3, 4, 79]
+  },
+  400: {
+    10: [68, 69],
+    20: [67, 68, 69, 74, 75],
+    30: [66, 67, 68, 74, 75],
+    40: [65, 66, 67, 74, 75],
+    50: [64, 65, 66, 75],
+    60: [63, 64, 65, 75, 76],
+    70: [63, 64, 75, 76],
+    80: [62, 63, 64, 75, 76],
+    90: [61, 62, 63, 76],
+    100: [60, 61, 62, 76],
+    110: [59, 60, 61, 76],
+    120: [58, 59, 60, 76, 77],
+    130: [57, 58, 59, 76, 77],
+    140: [56, 57, 58, 76, 77],
+    150: [55, 56, 57, 76, 77],
+    160: [54, 55, 56, 77],
+    170: [53, 54, 55, 77],
+    180: [52, 53, 54, 77],
+    190: [51, 52, 53, 77],
+    200: [50, 51, 52, 77],
+    210: [48, 49, 50, 51, 77],
+    220: [47, 48, 49, 50, 77, 78],
+    230: [46, 47, 48, 49, 77, 78],
+    240: [45, 46, 47, 77, 78],
+    250: [43, 44, 45, 46, 77, 78],
+    260: [42, 43, 44, 45, 77, 78],
+    270: [40, 41, 42, 43, 44, 78],
+    280: [39, 40, 41, 42, 78],
+    290: [38, 39, 40, 41, 78],
+    300: [36, 37, 38, 39, 78],
+    310: [35, 36, 37, 38, 78],
+    320: [33, 34, 35, 36, 78],
+    330: [31, 32, 33, 34, 35, 78],
+    340: [29, 30, 31, 32, 33, 78],
+    350: [27, 28, 29, 30, 31, 78],
+    360: [26, 27, 28, 29, 30, 78],
+    370: [24, 25, 26, 27, 28, 78],
+    380: [22, 23, 24, 25, 26, 78],
+    390: [20, 21, 22, 23, 24, 78],
+    400: [18, 19, 20, 21, 22, 78],
+    410: [16, 17, 18, 19, 20, 78],
+    420: [14, 15, 16, 17, 18, 78],
+    430: [12, 13, 14, 15, 16, 78, 79],
+    440: [10, 11, 12, 13, 14, 78, 79],
+    450: [8, 9, 10, 11, 12, 78, 79],
+    460: [6, 7, 8, 9, 10, 79],
+    470: [4, 5, 6, 7, 8, 79],
+    480: [3, 4, 5, 6, 79],
+    490: [3, 4, 79]
+  },
+  410: {
+    10: [68],
+    20: [67, 68, 73, 74],
+    30: [66, 67, 68, 73, 74],
+    40: [65, 66, 67, 74, 75],
+    50: [64, 65, 66, 74, 75],
+    60: [63, 64, 65, 74, 75],
+    70: [62, 63, 64, 75],
+    80: [61, 62, 63, 75],
+    90: [60, 61, 62, 75, 76],
+    100: [59, 60, 61, 75, 76],
+    110: [58, 59, 60, 75, 76],
+    120: [57, 58, 59, 76],
+    130: [56, 57, 58, 76],
+    140: [55, 56, 57, 58, 76],
+    150: [54, 55, 56, 57, 76],
+    160: [53, 54, 55, 56, 76],
+    170: [52, 53, 54, 55, 76, 77],
+    180: [51, 52, 53, 54, 76, 77],
+    190: [50, 51, 52, 53, 76, 77],
+    200: [49, 50, 51, 77],
+    210: [48, 49, 50, 77],
+    220: [47, 48, 49, 77],
+    230: [45, 46, 47, 48, 77],
+    240: [44, 45, 46, 47, 77],
+    250: [43, 44, 45, 77],
+    260: [41, 42, 43, 44, 77],
+    270: [40, 41, 42, 43, 77],
+    280: [38, 39, 40, 41, 42, 77],
+    290: [37, 38, 39, 40, 77],
+    300: [36, 37, 38, 39, 77, 78],
+    310: [34, 35, 36, 37, 77, 78],
+    320: [32, 33, 34, 35, 36, 77, 78],
+    330: [30, 31, 32, 33, 34, 77, 78],
+    340: [29, 30, 31, 32, 78],
+    350: [27, 28, 29, 30, 31, 78],
+    360: [25, 26, 27, 28, 29, 78],
+    370: [23, 24, 25, 26, 27, 78],
+    380: [22, 23, 24, 25, 26, 78],
+    390: [20, 21, 22, 23, 24, 78],
+    400: [18, 19, 20, 21, 22, 78],
+    410: [16, 17, 18, 19, 20, 78],
+    420: [14, 15, 16, 17, 18, 78],
+    430: [12, 13, 14, 15, 16, 78],
+    440: [10, 11, 12, 13, 14, 78],
+    450: [8, 9, 10, 11, 12, 78],
+    460: [6, 7, 8, 9, 10, 78],
+    470: [4, 5, 6, 7, 8, 78],
+    480: [3, 4, 5, 6, 78],
+    490: [3, 4, 78]
+  },
+  420: {
+    10: [67],
+    20: [66, 67, 73],
+    30: [65, 66, 67, 72, 73, 74],
+    40: [64, 65, 66, 73, 74],
+    50: [63, 64, 65, 73, 74],
+    60: [62, 63, 64, 74, 75],
+    70: [61, 62, 63, 74, 75],
+    80: [61, 62, 74, 75],
+    90: [60, 61, 62, 74, 75],
+    100: [59, 60, 61, 75],
+    110: [58, 59, 60, 75],
+    120: [57, 58, 59, 75, 76],
+    130: [56, 57, 58, 75, 76],
+    140: [55, 56, 57, 75, 76],
+    150: [54, 55, 56, 75, 76],
+    160: [53, 54, 55, 76],
+    170: [52, 53, 54, 76],
+    180: [50, 51, 52, 53, 76],
+    190: [49, 50, 51, 52, 76],
+    200: [48, 49, 50, 51, 76],
+    210: [47, 48, 49, 50, 76],
+    220: [46, 47, 48, 49, 76, 77],
+    230: [45, 46, 47, 76, 77],
+    240: [43, 44, 45, 46, 76, 77],
+    250: [42, 43, 44, 45, 76, 77],
+    260: [41, 42, 43, 77],
+    270: [39, 40, 41, 42, 77],
+    280: [38, 39, 40, 41, 77],
+    290: [37, 38, 39, 40, 77],
+    300: [35, 36, 37, 38, 77],
+    310: [33, 34, 35, 36, 37, 77],
+    320: [32, 33, 34, 35, 77],
+    330: [30, 31, 32, 33, 77],
+    340: [29, 30, 31, 32, 77],
+    350: [27, 28, 29, 30, 77],
+    360: [25, 26, 27, 28, 29, 77],
+    370: [23, 24, 25, 26, 27, 77],
+    380: [21, 22, 23, 24, 25, 77, 78],
+    390: [19, 20, 21, 22, 23, 77, 78],
+    400: [18, 19, 20, 21, 22, 77, 78],
+    410: [16, 17, 18, 19, 20, 77, 78],
+    420: [14, 15, 16, 17, 18, 78],
+    430: [12, 13, 14, 15, 16, 78],
+    440: [10, 11, 12, 13, 14, 78],
+    450: [8, 9, 10, 11, 12, 78],
+    460: [6, 7, 8, 9, 10, 78],
+    470: [4, 5, 6, 7, 8, 78],
+    480: [3, 4, 5, 6, 7, 78],
+    490: [3, 4, 5, 78],
+    500: [3]
+  },
+  430: {
+    20: [66, 67, 72, 73],
+    30: [65, 66, 67, 72, 73],
+    40: [64, 65, 66, 72, 73],
+    50: [63, 64, 65, 73, 74],
+    60: [62, 63, 64, 73, 74],
+    70: [61, 62, 63, 73, 74],
+    80: [60, 61, 62, 74],
+    90: [59, 60, 61, 74, 75],
+    100: [58, 59, 60, 74, 75],
+    110: [57, 58, 59, 74, 75],
+    120: [56, 57, 58, 74, 75],
+    130: [55, 56, 57, 75],
+    140: [54, 55, 56, 75],
+    150: [53, 54, 55, 75],
+    160: [52, 53, 54, 75, 76],
+    170: [51, 52, 53, 75, 76],
+    180: [50, 51, 52, 75, 76],
+    190: [49, 50, 51, 75, 76],
+    200: [48, 49, 50, 75, 76],
+    210: [46, 47, 48, 49, 76],
+    220: [45, 46, 47, 48, 76],
+    230: [44, 45, 46, 47, 76],
+    240: [43, 44, 45, 76],
+    250: [41, 42, 43, 44, 76],
+    260: [40, 41, 42, 43, 76],
+    270: [39, 40, 41, 42, 76],
+    280: [37, 38, 39, 40, 76, 77],
+    290: [36, 37, 38, 39, 76, 77],
+    300: [34, 35, 36, 37, 38, 76, 77],
+    310: [33, 34, 35, 36, 76, 77],
+    320: [31, 32, 33, 34, 76, 77],
+    330: [30, 31, 32, 33, 77],
+    340: [28, 29, 30, 31, 77],
+    350: [26, 27, 28, 29, 30, 77],
+    360: [25, 26, 27, 28, 77],
+    370: [23, 24, 25, 26, 77],
+    380: [21, 22, 23, 24, 25, 77],
+    390: [19, 20, 21, 22, 23, 77],
+    400: [18, 19, 20, 21, 77],
+    410: [16, 17, 18, 19, 20, 77],
+    420: [14, 15, 16, 17, 18, 77],
+    430: [12, 13, 14, 15, 16, 77],
+    440: [10, 11, 12, 13, 14, 77],
+    450: [8, 9, 10, 11, 12, 77],
+    460: [7, 8, 9, 10, 11, 77],
+    470: [5, 6, 7, 8, 9, 77],
+    480: [3, 4, 5, 6, 7, 77],
+    490: [3, 4, 5, 78]
+  },
+  440: {
+    20: [66, 71, 72],
+    30: [65, 66, 71, 72],
+    40: [63, 64, 65, 66, 71, 72, 73],
+    50: [62, 63, 64, 65, 72, 73],
+    60: [61, 62, 63, 72, 73],
+    70: [60, 61, 62, 73, 74],
+    80: [60, 61, 73, 74],
+    90: [59, 60, 73, 74],
+    100: [58, 59, 60, 73, 74],
+    110: [57, 58, 59, 74],
+    120: [56, 57, 58, 74],
+    130: [55, 56, 57, 74, 75],
+    140: [54, 55, 56, 74, 75],
+    150: [53, 54, 55, 74, 75],
+    160: [52, 53, 54, 74, 75],
+    170: [50, 51, 52, 53, 75],
+    180: [49, 50, 51, 52, 75],
+    190: [48, 49, 50, 51, 75],
+    200: [47, 48, 49, 75],
+    210: [46, 47, 48, 75, 76],
+    220: [45, 46, 47, 75, 76],
+    230: [43, 44, 45, 46, 75, 76],
+    240: [42, 43, 44, 45, 75, 76],
+    250: [41, 42, 43, 44, 75, 76],
+    260: [39, 40, 41, 42, 76],
+    270: [38, 39, 40, 41, 76],
+    280: [37, 38, 39, 40, 76],
+    290: [35, 36, 37, 38, 76],
+    300: [34, 35, 36, 37, 76],
+    310: [32, 33, 34, 35, 76],
+    320: [31, 32, 33, 34, 76],
+    330: [29, 30, 31, 32, 76],
+    340: [28, 29, 30, 31, 76],
+    350: [26, 27, 28, 29, 76],
+    360: [24, 25, 26, 27, 28, 76, 77],
+    370: [23, 24, 25, 26, 76, 77],
+    380: [21, 22, 23, 24, 25, 76, 77],
+    390: [19, 20, 21, 22, 23, 76, 77],
+    400: [17, 18, 19, 20, 21, 77],
+    410: [16, 17, 18, 19, 77],
+    420: [14, 15, 16, 17, 18, 77],
+    430: [12, 13, 14, 15, 16, 77],
+    440: [11, 12, 13, 14, 77],
+    450: [9, 10, 11, 12, 77],
+    460: [7, 8, 9, 10, 77],
+    470: [5, 6, 7, 8, 77],
+    480: [4, 5, 6, 7, 77],
+    490: [4, 5, 77]
+  },
+  450: {
+    20: [65, 66, 71],
+    30: [64, 65, 66, 70, 71, 72],
+    40: [63, 64, 65, 70, 71, 72],
+    50: [62, 63, 64, 71, 72],
+    60: [61, 62, 63, 72, 73],
+    70: [60, 61, 62, 72, 73],
+    80: [59, 60, 61, 72, 73],
+    90: [58, 59, 60, 73],
+    100: [57, 58, 59, 73, 74],
+    110: [56, 57, 58, 73, 74],
+    120: [55, 56, 57, 73, 74],
+    130: [54, 55, 56, 73, 74],
+    140: [53, 54, 55, 74],
+    150: [52, 53, 54, 74],
+    160: [51, 52, 53, 74],
+    170: [50, 51, 52, 74, 75],
+    180: [49, 50, 51, 74, 75],
+    190: [48, 49, 50, 74, 75],
+    200: [46, 47, 48, 49, 74, 75],
+    210: [45, 46, 47, 48, 75],
+    220: [44, 45, 46, 47, 75],
+    230: [43, 44, 45, 46, 75],
+    240: [42, 43, 44, 75],
+    250: [40, 41, 42, 43, 75],
+    260: [39, 40, 41, 42, 75],
+    270: [38, 39, 40, 41, 75, 76],
+    280: [36, 37, 38, 39, 75, 76],
+    290: [35, 36, 37, 38, 75, 76],
+    300: [33, 34, 35, 36, 75, 76],
+    310: [32, 33, 34, 35, 76],
+    320: [30, 31, 32, 33, 76],
+    330: [29, 30, 31, 32, 76],
+    340: [27, 28, 29, 30, 31, 76],
+    350: [26, 27, 28, 29, 76],
+    360: [24, 25, 26, 27, 28, 76],
+    370: [23, 24, 25, 26, 76],
+    380: [21, 22, 23, 24, 76],
+    390: [19, 20, 21, 22, 23, 76],
+    400: [17, 18, 19, 20, 21, 76],
+    410: [16, 17, 18, 19, 76],
+    420: [14, 15, 16, 17, 18, 76],
+    430: [12, 13, 14, 15, 16, 76],
+    440: [10, 11, 12, 13, 14, 76],
+    450: [9, 10, 11, 12, 76, 77],
+    460: [7, 8, 9, 10, 11, 76, 77],
+    470: [5, 6, 7, 8, 9, 76, 77],
+    480: [4, 5, 6, 7, 77],
+    490: [4, 5],
+    500: [4]
+  },
+  460: {
+    20: [65, 70],
+    30: [64, 65, 69, 70, 71],
+    40: [63, 64, 65, 69, 70, 71],
+    50: [62, 63, 64, 70, 71, 72],
+    60: [61, 62, 63, 71, 72],
+    70: [60, 61, 62, 71, 72],
+    80: [59, 60, 61, 72, 73],
+    90: [58, 59, 60, 72, 73],
+    100: [57, 58, 59, 72, 73],
+    110: [56, 57, 58, 72, 73],
+    120: [55, 56, 57, 73],
+    130: [54, 55, 56, 73, 74],
+    140: [53, 54, 55, 73, 74],
+    150: [52, 53, 54, 73, 74],
+    160: [50, 51, 52, 53, 73, 74],
+    170: [49, 50, 51, 52, 74],
+    180: [48, 49, 50, 51, 74],
+    190: [47, 48, 49, 74],
+    200: [46, 47, 48, 74],
+    210: [45, 46, 47, 74],
+    220: [44, 45, 46, 74, 75],
+    230: [42, 43, 44, 45, 74, 75],
+    240: [41, 42, 43, 44, 74, 75],
+    250: [40, 41, 42, 75],
+    260: [39, 40, 41, 75],
+    270: [37, 38, 39, 40, 75],
+    280: [36, 37, 38, 39, 75],
+    290: [34, 35, 36, 37, 75],
+    300: [33, 34, 35, 36, 75],
+    310: [31, 32, 33, 34, 75],
+    320: [30, 31, 32, 33, 75],
+    330: [29, 30, 31, 32, 75],
+    340: [27, 28, 29, 30, 75, 76],
+    350: [26, 27, 28, 29, 75, 76],
+    360: [24, 25, 26, 27, 75, 76],
+    370: [22, 23, 24, 25, 75, 76],
+    380: [21, 22, 23, 24, 76],
+    390: [19, 20, 21, 22, 23, 76],
+    400: [17, 18, 19, 20, 21, 76],
+    410: [16, 17, 18, 19, 76],
+    420: [14, 15, 16, 17, 76],
+    430: [12, 13, 14, 15, 16, 76],
+    440: [11, 12, 13, 14, 76],
+    450: [9, 10, 11, 12, 13, 76],
+    460: [7, 8, 9, 10, 11, 76],
+    470: [5, 6, 7, 8, 9, 76],
+    480: [4, 5, 6, 7, 76],
+    490: [4, 5, 76]
+  },
+  470: {
+    20: [65, 69],
+    30: [64, 65, 69, 70],
+    40: [63, 64, 65, 68, 69, 70, 71],
+    50: [61, 62, 63, 64, 69, 70, 71],
+    60: [60, 61, 62, 63, 70, 71],
+    70: [59, 60, 61, 71, 72],
+    80: [58, 59, 60, 71, 72],
+    90: [57, 58, 59, 71, 72],
+    100: [56, 57, 58, 72],
+    110: [55, 56, 57, 72, 73],
+    120: [54, 55, 56, 72, 73],
+    130: [53, 54, 55, 72, 73],
+    140: [52, 53, 54, 73],
+    150: [51, 52, 53, 73],
+    160: [50, 51, 52, 73],
+    170: [49, 50, 51, 73, 74],
+    180: [48, 49, 50, 73, 74],
+    190: [47, 48, 49, 73, 74],
+    200: [46, 47, 48, 73, 74],
+    210: [44, 45, 46, 47, 74],
+    220: [43, 44, 45, 46, 74],
+    230: [42, 43, 44, 74],
+    240: [41, 42, 43, 74],
+    250: [40, 41, 42, 74],
+    260: [38, 39, 40, 41, 74],
+    270: [37, 38, 39, 40, 74, 75],
+    280: [35, 36, 37, 38, 74, 75],
+    290: [34, 35, 36, 37, 74, 75],
+    300: [33, 34, 35, 36, 74, 75],
+    310: [31, 32, 33, 34, 75],
+    320: [30, 31, 32, 33, 75],
+    330: [28, 29, 30, 31, 75],
+    340: [27, 28, 29, 30, 75],
+    350: [25, 26, 27, 28, 75],
+    360: [24, 25, 26, 27, 75],
+    370: [22, 23, 24, 25, 75],
+    380: [21, 22, 23, 24, 75],
+    390: [19, 20, 21, 22, 75],
+    400: [17, 18, 19, 20, 21, 75],
+    410: [16, 17, 18, 19, 75],
+    420: [14, 15, 16, 17, 18, 75, 76],
+    430: [13, 14, 15, 16, 75, 76],
+    440: [11, 12, 13, 14, 75, 76],
+    450: [9, 10, 11, 12, 75, 76],
+    460: [7, 8, 9, 10, 11, 76],
+    470: [6, 7, 8, 9, 76],
+    480: [5, 6, 7, 8, 76],
+    490: [5, 6, 76]
+  },
+  480: {
+    20: [65],
+    30: [64, 65, 67, 68, 69],
+    40: [62, 63, 64, 65, 67, 68, 69, 70],
+    50: [61, 62, 63, 64, 68, 69, 70],
+    60: [60, 61, 62, 69, 70, 71],
+    70: [59, 60, 61, 70, 71],
+    80: [58, 59, 60, 70, 71],
+    90: [57, 58, 59, 71, 72],
+    100: [56, 57, 58, 71, 72],
+    110: [55, 56, 57, 71, 72],
+    120: [54, 55, 56, 71, 72],
+    130: [53, 54, 55, 72],
+    140: [52, 53, 54, 72, 73],
+    150: [51, 52, 53, 72, 73],
+    160: [50, 51, 52, 72, 73],
+    170: [48, 49, 50, 51, 73],
+    180: [47, 48, 49, 50, 73],
+    190: [46, 47, 48, 49, 73],
+    200: [45, 46, 47, 73],
+    210: [44, 45, 46, 73, 74],
+    220: [43, 44, 45, 73, 74],
+    230: [41, 42, 43, 44, 73, 74],
+    240: [40, 41, 42, 43, 73, 74],
+    250: [39, 40, 41, 42, 74],
+    260: [38, 39, 40, 74],
+    270: [36, 37, 38, 39, 74],
+    280: [35, 36, 37, 38, 74],
+    290: [34, 35, 36, 37, 74],
+    300: [32, 33, 34, 35, 74],
+    310: [31, 32, 33, 34, 74],
+    320: [29, 30, 31, 32, 74],
+    330: [28, 29, 30, 31, 74, 75],
+    340: [27, 28, 29, 30, 74, 75],
+    350: [25, 26, 27, 28, 74, 75],
+    360: [24, 25, 26, 27, 74, 75],
+    370: [22, 23, 24, 25, 75],
+    380: [20, 21, 22, 23, 75],
+    390: [19, 20, 21, 22, 75],
+    400: [18, 19, 20, 21, 75],
+    410: [16, 17, 18, 19, 75],
+    420: [14, 15, 16, 17, 75],
+    430: [12, 13, 14, 15, 16, 75],
+    440: [11, 12, 13, 14, 75],
+    450: [9, 10, 11, 12, 13, 75],
+    460: [8, 9, 10, 11, 75],
+    470: [6, 7, 8, 9, 75],
+    480: [5, 6, 7, 8, 75],
+    490: [5, 6],
+    500: [5]
+  },
+  490: {
+    30: [64, 65, 66, 67, 68],
+    40: [62, 63, 64, 65, 66, 67, 68, 69],
+    50: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    60: [60, 61, 62, 68, 69, 70],
+    70: [59, 60, 61, 69, 70],
+    80: [58, 59, 60, 70, 71],
+    90: [56, 57, 58, 59, 70, 71],
+    100: [55, 56, 57, 70, 71],
+    110: [54, 55, 56, 71],
+    120: [53, 54, 55, 71, 72],
+    130: [52, 53, 54, 71, 72],
+    140: [51, 52, 53, 71, 72],
+    150: [50, 51, 52, 72],
+    160: [49, 50, 51, 72],
+    170: [48, 49, 50, 72, 73],
+    180: [47, 48, 49, 72, 73],
+    190: [46, 47, 48, 72, 73],
+    200: [45, 46, 47, 72, 73],
+    210: [43, 44, 45, 46, 73],
+    220: [42, 43, 44, 45, 73],
+    230: [41, 42, 43, 44, 73],
+    240: [40, 41, 42, 73],
+    250: [39, 40, 41, 73],
+    260: [37, 38, 39, 40, 73, 74],
+    270: [36, 37, 38, 39, 73, 74],
+    280: [35, 36, 37, 73, 74],
+    290: [33, 34, 35, 36, 73, 74],
+    300: [32, 33, 34, 35, 74],
+    310: [31, 32, 33, 74],
+    320: [29, 30, 31, 32, 74],
+    330: [28, 29, 30, 31, 74],
+    340: [26, 27, 28, 29, 74],
+    350: [25, 26, 27, 28, 74],
+    360: [23, 24, 25, 26, 74],
+    370: [22, 23, 24, 25, 74],
+    380: [21, 22, 23, 24, 74],
+    390: [19, 20, 21, 22, 74],
+    400: [17, 18, 19, 20, 74, 75],
+    410: [16, 17, 18, 19, 74, 75],
+    420: [14, 15, 16, 17, 74, 75],
+    430: [13, 14, 15, 16, 74, 75],
+    440: [11, 12, 13, 14, 75],
+    450: [10, 11, 12, 13, 75],
+    460: [8, 9, 10, 11, 75],
+    470: [6, 7, 8, 9, 75],
+    480: [5, 6, 7, 8, 75],
+    490: [5, 6],
+    500: [5]
+  },
+  500: {
+    30: [64, 65, 66, 67],
+    40: [62, 63, 64, 65, 66, 67, 68],
+    50: [61, 62, 63, 64, 65, 66, 67, 68, 69],
+    60: [60, 61, 62, 67, 68, 69],
+    70: [58, 59, 60, 61, 68, 69, 70],
+    80: [57, 58, 59, 60, 69, 70],
+    90: [56, 57, 58, 69, 70],
+    100: [55, 56, 57, 70, 71],
+    110: [54, 55, 56, 70, 71],
+    120: [53, 54, 55, 70, 71],
+    130: [52, 53, 54, 71],
+    140: [51, 52, 53, 71],
+    150: [50, 51, 52, 71, 72],
+    160: [49, 50, 51, 71, 72],
+    170: [48, 49, 50, 71, 72],
+    180: [47, 48, 49, 72],
+    190: [45, 46, 47, 48, 72],
+    200: [44, 45, 46, 47, 72],
+    210: [43, 44, 45, 72],
+    220: [42, 43, 44, 72, 73],
+    230: [41, 42, 43, 72, 73],
+    240: [40, 41, 42, 72, 73],
+    250: [38, 39, 40, 41, 72, 73],
+    260: [37, 38, 39, 40, 73],
+    270: [36, 37, 38, 73],
+    280: [34, 35, 36, 37, 73],
+    290: [33, 34, 35, 36, 73],
+    300: [32, 33, 34, 73],
+    310: [31, 32, 33, 73],
+    320: [29, 30, 31, 32, 73, 74],
+    330: [28, 29, 30, 73, 74],
+    340: [26, 27, 28, 29, 73, 74],
+    350: [25, 26, 27, 28, 73, 74],
+    360: [23, 24, 25, 26, 74],
+    370: [22, 23, 24, 25, 74],
+    380: [20, 21, 22, 23, 74],
+    390: [19, 20, 21, 22, 74],
+    400: [17, 18, 19, 20, 74],
+    410: [16, 17, 18, 19, 74],
+    420: [14, 15, 16, 17, 74],
+    430: [13, 14, 15, 16, 74],
+    440: [11, 12, 13, 14, 74],
+    450: [10, 11, 12, 13, 74],
+    460: [8, 9, 10, 11, 74],
+    470: [7, 8, 9, 10, 74],
+    480: [6, 7, 8, 74],
+    490: [5, 6, 7, 74]
+  },
+  510: {
+    30: [64, 65, 66],
+    40: [62, 63, 64, 65, 66, 67],
+    50: [61, 62, 63, 64, 65, 66, 67, 68],
+    60: [59, 60, 61, 62, 63, 65, 66, 67, 68, 69],
+    70: [58, 59, 60, 61, 67, 68, 69],
+    80: [57, 58, 59, 68, 69],
+    90: [56, 57, 58, 68, 69, 70],
+    100: [55, 56, 57, 69, 70],
+    110: [54, 55, 56, 69, 70],
+    120: [53, 54, 55, 70],
+    130: [52, 53, 54, 70, 71],
+    140: [51, 52, 53, 70, 71],
+    150: [49, 50, 51, 52, 70, 71],
+    160: [48, 49, 50, 51, 71],
+    170: [47, 48, 49, 71],
+    180: [46, 47, 48, 71, 72],
+    190: [45, 46, 47, 71, 72],
+    200: [44, 45, 46, 71, 72],
+    210: [43, 44, 45, 71, 72],
+    220: [42, 43, 44, 72],
+    230: [40, 41, 42, 43, 72],
+    240: [39, 40, 41, 42, 72],
+    250: [38, 39, 40, 72],
+    260: [37, 38, 39, 72, 73],
+    270: [35, 36, 37, 38, 72, 73],
+    280: [34, 35, 36, 37, 72, 73],
+    290: [33, 34, 35, 36, 72, 73],
+    300: [32, 33, 34, 73],
+    310: [30, 31, 32, 33, 73],
+    320: [29, 30, 31, 73],
+    330: [28, 29, 30, 73],
+    340: [26, 27, 28, 29, 73],
+    350: [25, 26, 27, 73],
+    360: [23, 24, 25, 26, 73],
+    370: [22, 23, 24, 25, 73],
+    380: [20, 21, 22, 23, 73, 74],
+    390: [19, 20, 21, 22, 73, 74],
+    400: [18, 19, 20, 73, 74],
+    410: [16, 17, 18, 19, 73, 74],
+    420: [14, 15, 16, 17, 74],
+    430: [13, 14, 15, 16, 74],
+    440: [11, 12, 13, 14, 74],
+    450: [10, 11, 12, 13, 74],
+    460: [9, 10, 11, 12, 74],
+    470: [7, 8, 9, 10, 74],
+    480: [6, 7, 8, 74],
+    490: [6, 7, 74]
+  },
+  520: {
+    40: [62, 63, 64, 65, 66],
+    50: [61, 62, 63, 64, 65, 66, 67],
+    60: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    70: [58, 59, 60, 61, 66, 67, 68],
+    80: [57, 58, 59, 67, 68, 69],
+    90: [56, 57, 58, 68, 69],
+    100: [55, 56, 57, 68, 69],
+    110: [53, 54, 55, 56, 69, 70],
+    120: [52, 53, 54, 55, 69, 70],
+    130: [51, 52, 53, 69, 70],
+    140: [50, 51, 52, 70],
+    150: [49, 50, 51, 70, 71],
+    160: [48, 49, 50, 70, 71],
+    170: [47, 48, 49, 70, 71],
+    180: [46, 47, 48, 70, 71],
+    190: [45, 46, 47, 71],
+    200: [44, 45, 46, 71],
+    210: [42, 43, 44, 45, 71],
+    220: [41, 42, 43, 44, 71, 72],
+    230: [40, 41, 42, 71, 72],
+    240: [39, 40, 41, 71, 72],
+    250: [38, 39, 40, 71, 72],
+    260: [36, 37, 38, 39, 72],
+    270: [35, 36, 37, 38, 72],
+    280: [34, 35, 36, 37, 72],
+    290: [33, 34, 35, 72],
+    300: [31, 32, 33, 34, 72],
+    310: [30, 31, 32, 33, 72, 73],
+    320: [29, 30, 31, 72, 73],
+    330: [27, 28, 29, 30, 72, 73],
+    340: [26, 27, 28, 29, 72, 73],
+    350: [25, 26, 27, 73],
+    360: [23, 24, 25, 26, 73],
+    370: [22, 23, 24, 73],
+    380: [21, 22, 23, 73],
+    390: [19, 20, 21, 22, 73],
+    400: [17, 18, 19, 20, 73],
+    410: [16, 17, 18, 19, 73],
+    420: [15, 16, 17, 73],
+    430: [13, 14, 15, 16, 73],
+    440: [12, 13, 14, 15, 73],
+    450: [10, 11, 12, 13, 73],
+    460: [9, 10, 11, 12, 73, 74],
+    470: [7, 8, 9, 10, 73, 74],
+    480: [6, 7, 8, 9, 73, 74],
+    490: [6, 7, 74],
+    500: [6]
+  },
+  530: {
+    40: [63, 64],
+    50: [61, 62, 63, 64, 65, 66],
+    60: [59, 60, 61, 62, 63, 64, 65, 66, 67],
+    70: [58, 59, 60, 61, 62, 64, 65, 66, 67],
+    80: [57, 58, 59, 66, 67, 68],
+    90: [56, 57, 58, 67, 68],
+    100: [54, 55, 56, 57, 67, 68, 69],
+    110: [53, 54, 55, 68, 69],
+    120: [52, 53, 54, 68, 69],
+    130: [51, 52, 53, 69, 70],
+    140: [50, 51, 52, 69, 70],
+    150: [49, 50, 51, 69, 70],
+    160: [48, 49, 50, 69, 70],
+    170: [47, 48, 49, 70],
+    180: [46, 47, 48, 70],
+    190: [44, 45, 46, 47, 70, 71],
+    200: [43, 44, 45, 46, 70, 71],
+    210: [42, 43, 44, 70, 71],
+    220: [41, 42, 43, 71],
+    230: [40, 41, 42, 71],
+    240: [39, 40, 41, 71],
+    250: [38, 39, 40, 71],
+    260: [36, 37, 38, 39, 71, 72],
+    270: [35, 36, 37, 71, 72],
+    280: [34, 35, 36, 71, 72],
+    290: [33, 34, 35, 71, 72],
+    300: [31, 32, 33, 34, 72],
+    310: [30, 31, 32, 72],
+    320: [29, 30, 31, 72],
+    330: [27, 28, 29, 30, 72],
+    340: [26, 27, 28, 29, 72],
+    350: [24, 25, 26, 27, 72],
+    360: [23, 24, 25, 26, 72],
+    370: [22, 23, 24, 25, 72, 73],
+    380: [20, 21, 22, 23, 72, 73],
+    390: [19, 20, 21, 22, 72, 73],
+    400: [18, 19, 20, 72, 73],
+    410: [16, 17, 18, 19, 73],
+    420: [15, 16, 17, 18, 73],
+    430: [13, 14, 15, 16, 73],
+    440: [12, 13, 14, 15, 73],
+    450: [10, 11, 12, 13, 73],
+    460: [9, 10, 11, 12, 73],
+    470: [8, 9, 10, 73],
+    480: [7, 8, 9, 73],
+    490: [6, 7, 8, 73]
+  },
+  540: {
+    50: [61, 62, 63, 64, 65],
+    60: [59, 60, 61, 62, 63, 64, 65, 66],
+    70: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    80: [57, 58, 59, 60, 65, 66, 67],
+    90: [55, 56, 57, 58, 66, 67, 68],
+    100: [54, 55, 56, 57, 67, 68],
+    110: [53, 54, 55, 67, 68],
+    120: [52, 53, 54, 68, 69],
+    130: [51, 52, 53, 68, 69],
+    140: [50, 51, 52, 68, 69],
+    150: [49, 50, 51, 69],
+    160: [48, 49, 50, 69, 70],
+    170: [46, 47, 48, 49, 69, 70],
+    180: [45, 46, 47, 69, 70],
+    190: [44, 45, 46, 69, 70],
+    200: [43, 44, 45, 70],
+    210: [42, 43, 44, 70],
+    220: [41, 42, 43, 70, 71],
+    230: [40, 41, 42, 70, 71],
+    240: [38, 39, 40, 41, 70, 71],
+    250: [37, 38, 39, 40, 70, 71],
+    260: [36, 37, 38, 71],
+    270: [35, 36, 37, 71],
+    280: [34, 35, 36, 71],
+    290: [32, 33, 34, 35, 71],
+    300: [31, 32, 33, 71],
+    310: [30, 31, 32, 71, 72],
+    320: [28, 29, 30, 31, 71, 72],
+    330: [27, 28, 29, 30, 71, 72],
+    340: [26, 27, 28, 71, 72],
+    350: [25, 26, 27, 72],
+    360: [23, 24, 25, 26, 72],
+    370: [22, 23, 24, 25, 72],
+    380: [20, 21, 22, 23, 72],
+    390: [19, 20, 21, 22, 72],
+    400: [18, 19, 20, 72],
+    410: [16, 17, 18, 19, 72],
+    420: [15, 16, 17, 72],
+    430: [13, 14, 15, 16, 72],
+    440: [12, 13, 14, 15, 72, 73],
+    450: [11, 12, 13, 72, 73],
+    460: [9, 10, 11, 12, 72, 73],
+    470: [8, 9, 10, 11, 72, 73],
+    480: [7, 8, 9, 73],
+    490: [7, 8]
+  },
+  550: {
+    50: [62, 63],
+    60: [59, 60, 61, 62, 63, 64, 65],
+    70: [58, 59, 60, 61, 62, 63, 64, 65, 66],
+    80: [57, 58, 59, 60, 61, 63, 64, 65, 66],
+    90: [55, 56, 57, 58, 65, 66, 67],
+    100: [54, 55, 56, 57, 66, 67],
+    110: [53, 54, 55, 66, 67, 68],
+    120: [52, 53, 54, 67, 68],
+    130: [51, 52, 53, 67, 68],
+    140: [50, 51, 52, 68],
+    150: [48, 49, 50, 51, 68, 69],
+    160: [47, 48, 49, 68, 69],
+    170: [46, 47, 48, 68, 69],
+    180: [45, 46, 47, 69],
+    190: [44, 45, 46, 69, 70],
+    200: [43, 44, 45, 69, 70],
+    210: [42, 43, 44, 69, 70],
+    220: [41, 42, 43, 69, 70],
+    230: [39, 40, 41, 42, 70],
+    240: [38, 39, 40, 70],
+    250: [37, 38, 39, 70],
+    260: [36, 37, 38, 70, 71],
+    270: [35, 36, 37, 70, 71],
+    280: [33, 34, 35, 36, 70, 71],
+    290: [32, 33, 34, 35, 70, 71],
+    300: [31, 32, 33, 71],
+    310: [30, 31, 32, 71],
+    320: [29, 30, 31, 71],
+    330: [27, 28, 29, 30, 71],
+    340: [26, 27, 28, 71],
+    350: [25, 26, 27, 71],
+    360: [23, 24, 25, 26, 71],
+    370: [22, 23, 24, 71, 72],
+    380: [21, 22, 23, 71, 72],
+    390: [19, 20, 21, 22, 71, 72],
+    400: [18, 19, 20, 72],
+    410: [16, 17, 18, 19, 72],
+    420: [15, 16, 17, 18, 72],
+    430: [14, 15, 16, 72],
+    440: [12, 13, 14, 15, 72],
+    450: [11, 12, 13, 14, 72],
+    460: [9, 10, 11, 12, 72],
+    470: [8, 9, 10, 11, 72],
+    480: [7, 8, 9, 72],
+    490: [7, 8, 72],
+    500: [7]
+  },
+  560: {
+    60: [60, 61, 62, 63, 64],
+    70: [58, 59, 60, 61, 62, 63, 64, 65],
+    80: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    90: [55, 56, 57, 58, 59, 63, 64, 65, 66],
+    100: [54, 55, 56, 57, 65, 66, 67],
+    110: [53, 54, 55, 65, 66, 67],
+    120: [52, 53, 54, 66, 67],
+    130: [51, 52, 53, 66, 67, 68],
+    140: [49, 50, 51, 52, 67, 68],
+    150: [48, 49, 50, 67, 68],
+    160: [47, 48, 49, 67, 68],
+    170: [46, 47, 48, 68, 69],
+    180: [45, 46, 47, 68, 69],
+    190: [44, 45, 46, 68, 69],
+    200: [43, 44, 45, 68, 69],
+    210: [42, 43, 44, 69],
+    220: [40, 41, 42, 43, 69],
+    230: [39, 40, 41, 69, 70],
+    240: [38, 39, 40, 69, 70],
+    250: [37, 38, 39, 69, 70],
+    260: [36, 37, 38, 69, 70],
+    270: [35, 36, 37, 70],
+    280: [33, 34, 35, 36, 70],
+    290: [32, 33, 34, 70],
+    300: [31, 32, 33, 70],
+    310: [30, 31, 32, 70, 71],
+    320: [28, 29, 30, 31, 70, 71],
+    330: [27, 28, 29, 70, 71],
+    340: [26, 27, 28, 70, 71],
+    350: [24, 25, 26, 27, 71],
+    360: [23, 24, 25, 26, 71],
+    370: [22, 23, 24, 71],
+    380: [20, 21, 22, 23, 71],
+    390: [19, 20, 21, 22, 71],
+    400: [18, 19, 20, 71],
+    410: [17, 18, 19, 71],
+    420: [15, 16, 17, 18, 71],
+    430: [14, 15, 16, 71, 72],
+    440: [12, 13, 14, 15, 71, 72],
+    450: [11, 12, 13, 14, 71, 72],
+    460: [10, 11, 12, 72],
+    470: [9, 10, 11, 72],
+    480: [7, 8, 9, 10, 72],
+    490: [7, 8, 72]
+  },
+  570: {
+    60: [61, 62],
+    70: [58, 59, 60, 61, 62, 63, 64],
+    80: [57, 58, 59, 60, 61, 62, 63, 64, 65],
+    90: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    100: [54, 55, 56, 57, 64, 65, 66],
+    110: [53, 54, 55, 64, 65, 66],
+    120: [52, 53, 54, 65, 66, 67],
+    130: [50, 51, 52, 53, 66, 67],
+    140: [49, 50, 51, 66, 67],
+    150: [48, 49, 50, 66, 67, 68],
+    160: [47, 48, 49, 67, 68],
+    170: [46, 47, 48, 67, 68],
+    180: [45, 46, 47, 67, 68],
+    190: [44, 45, 46, 68],
+    200: [43, 44, 45, 68, 69],
+    210: [41, 42, 43, 68, 69],
+    220: [40, 41, 42, 68, 69],
+    230: [39, 40, 41, 68, 69],
+    240: [38, 39, 40, 69],
+    250: [37, 38, 39, 69],
+    260: [36, 37, 38, 69],
+    270: [34, 35, 36, 37, 69, 70],
+    280: [33, 34, 35, 36, 69, 70],
+    290: [32, 33, 34, 69, 70],
+    300: [31, 32, 33, 70],
+    310: [30, 31, 32, 70],
+    320: [28, 29, 30, 31, 70],
+    330: [27, 28, 29, 70],
+    340: [26, 27, 28, 70],
+    350: [24, 25, 26, 27, 70],
+    360: [23, 24, 25, 26, 70, 71],
+    370: [22, 23, 24, 70, 71],
+    380: [21, 22, 23, 70, 71],
+    390: [19, 20, 21, 22, 70, 71],
+    400: [18, 19, 20, 21, 71],
+    410: [17, 18, 19, 71],
+    420: [15, 16, 17, 18, 71],
+    430: [14, 15, 16, 71],
+    440: [13, 14, 15, 71],
+    450: [12, 13, 14, 71],
+    460: [10, 11, 12, 13, 71],
+    470: [9, 10, 11, 71],
+    480: [8, 9, 10, 71],
+    490: [8, 9, 71]
+  },
+  580: {
+    70: [59, 60, 61, 62],
+    80: [57, 58, 59, 60, 61, 62, 63, 64],
+    90: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    100: [54, 55, 56, 57, 58, 62, 63, 64, 65],
+    110: [53, 54, 55, 56, 63, 64, 65],
+    120: [51, 52, 53, 54, 64, 65, 66],
+    130: [50, 51, 52, 53, 65, 66],
+    140: [49, 50, 51, 65, 66, 67],
+    150: [48, 49, 50, 66, 67],
+    160: [47, 48, 49, 66, 67],
+    170: [46, 47, 48, 66, 67],
+    180: [45, 46, 47, 67, 68],
+    190: [44, 45, 46, 67, 68],
+    200: [42, 43, 44, 67, 68],
+    210: [41, 42, 43, 67, 68],
+    220: [40, 41, 42, 68],
+    230: [39, 40, 41, 68],
+    240: [38, 39, 40, 68, 69],
+    250: [37, 38, 39, 68, 69],
+    260: [36, 37, 38, 68, 69],
+    270: [34, 35, 36, 37, 69],
+    280: [33, 34, 35, 69],
+    290: [32, 33, 34, 69],
+    300: [31, 32, 33, 69],
+    310: [29, 30, 31, 32, 69, 70],
+    320: [28, 29, 30, 31, 69, 70],
+    330: [27, 28, 29, 69, 70],
+    340: [26, 27, 28, 69, 70],
+    350: [25, 26, 27, 70],
+    360: [23, 24, 25, 26, 70],
+    370: [22, 23, 24, 70],
+    380: [21, 22, 23, 70],
+    390: [19, 20, 21, 22, 70],
+    400: [18, 19, 20, 21, 70],
+    410: [17, 18, 19, 70, 71],
+    420: [16, 17, 18, 70, 71],
+    430: [14, 15, 16, 17, 70, 71],
+    440: [13, 14, 15, 16, 70, 71],
+    450: [12, 13, 14, 70, 71],
+    460: [10, 11, 12, 13, 71],
+    470: [9, 10, 11, 71],
+    480: [8, 9, 10, 71],
+    490: [8, 9, 71],
+    500: [8]
+  },
+  590: {
+    80: [57, 58, 59, 60, 61, 62],
+    90: [56, 57, 58, 59, 60, 61, 62, 63],
+    100: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    110: [53, 54, 55, 56, 62, 63, 64, 65],
+    120: [51, 52, 53, 54, 63, 64, 65],
+    130: [50, 51, 52, 53, 64, 65, 66],
+    140: [49, 50, 51, 65, 66],
+    150: [48, 49, 50, 65, 66],
+    160: [47, 48, 49, 65, 66],
+    170: [46, 47, 48, 66, 67],
+    180: [44, 45, 46, 47, 66, 67],
+    190: [43, 44, 45, 66, 67],
+    200: [42, 43, 44, 67],
+    210: [41, 42, 43, 67, 68],
+    220: [40, 41, 42, 67, 68],
+    230: [39, 40, 41, 67, 68],
+    240: [38, 39, 40, 67, 68],
+    250: [37, 38, 39, 68],
+    260: [35, 36, 37, 38, 68],
+    270: [34, 35, 36, 68, 69],
+    280: [33, 34, 35, 68, 69],
+    290: [32, 33, 34, 68, 69],
+    300: [31, 32, 33, 68, 69],
+    310: [29, 30, 31, 32, 69],
+    320: [28, 29, 30, 69],
+    330: [27, 28, 29, 69],
+    340: [26, 27, 28, 69],
+    350: [25, 26, 27, 69],
+    360: [23, 24, 25, 26, 69, 70],
+    370: [22, 23, 24, 69, 70],
+    380: [21, 22, 23, 69, 70],
+    390: [19, 20, 21, 22, 70],
+    400: [18, 19, 20, 21, 70],
+    410: [17, 18, 19, 70],
+    420: [16, 17, 18, 70],
+    430: [14, 15, 16, 17, 70],
+    440: [13, 14, 15, 16, 70],
+    450: [12, 13, 14, 70],
+    460: [11, 12, 13, 70],
+    470: [10, 11, 12, 70],
+    480: [8, 9, 10, 11, 70, 71],
+    490: [8, 9, 70]
+  },
+  600: {
+    80: [58, 59, 60, 61],
+    90: [56, 57, 58, 59, 60, 61, 62],
+    100: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    110: [53, 54, 55, 56, 57, 60, 61, 62, 63, 64],
+    120: [51, 52, 53, 54, 55, 62, 63, 64],
+    130: [50, 51, 52, 53, 63, 64, 65],
+    140: [49, 50, 51, 64, 65],
+    150: [48, 49, 50, 64, 65, 66],
+    160: [47, 48, 49, 65, 66],
+    170: [46, 47, 48, 65, 66],
+    180: [44, 45, 46, 47, 65, 66],
+    190: [43, 44, 45, 66, 67],
+    200: [42, 43, 44, 66, 67],
+    210: [41, 42, 43, 66, 67],
+    220: [40, 41, 42, 66, 67],
+    230: [39, 40, 41, 67],
+    240: [38, 39, 40, 67, 68],
+    250: [37, 38, 39, 67, 68],
+    260: [35, 36, 37, 67, 68],
+    270: [34, 35, 36, 67, 68],
+    280: [33, 34, 35, 68],
+    290: [32, 33, 34, 68],
+    300: [31, 32, 33, 68],
+    310: [30, 31, 32, 68, 69],
+    320: [28, 29, 30, 68, 69],
+    330: [27, 28, 29, 68, 69],
+    340: [26, 27, 28, 68, 69],
+    350: [25, 26, 27, 69],
+    360: [23, 24, 25, 26, 69],
+    370: [22, 23, 24, 69],
+    380: [21, 22, 23, 69],
+    390: [20, 21, 22, 69],
+    400: [19, 20, 21, 69],
+    410: [17, 18, 19, 20, 69, 70],
+    420: [16, 17, 18, 69, 70],
+    430: [15, 16, 17, 69, 70],
+    440: [13, 14, 15, 16, 69, 70],
+    450: [12, 13, 14, 15, 70],
+    460: [11, 12, 13, 70],
+    470: [10, 11, 12, 70],
+    480: [9, 10, 11, 70],
+    490: [9, 10, 70],
+    500: [70]
+  },
+  610: {
+    90: [56, 57, 58, 59, 60, 61],
+    100: [55, 56, 57, 58, 59, 60, 61, 62],
+    110: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    120: [52, 53, 54, 55, 61, 62, 63, 64],
+    130: [50, 51, 52, 53, 62, 63, 64],
+    140: [49, 50, 51, 52, 63, 64],
+    150: [48, 49, 50, 63, 64, 65],
+    160: [47, 48, 49, 64, 65],
+    170: [46, 47, 48, 64, 65],
+    180: [44, 45, 46, 47, 65, 66],
+    190: [43, 44, 45, 65, 66],
+    200: [42, 43, 44, 65, 66],
+    210: [41, 42, 43, 66],
+    220: [40, 41, 42, 66, 67],
+    230: [39, 40, 41, 66, 67],
+    240: [38, 39, 40, 66, 67],
+    250: [37, 38, 39, 66, 67],
+    260: [35, 36, 37, 67],
+    270: [34, 35, 36, 67],
+    280: [33, 34, 35, 67, 68],
+    290: [32, 33, 34, 67, 68],
+    300: [31, 32, 33, 67, 68],
+    310: [29, 30, 31, 32, 67, 68],
+    320: [28, 29, 30, 31, 68],
+    330: [27, 28, 29, 68],
+    340: [26, 27, 28, 68],
+    350: [25, 26, 27, 68],
+    360: [24, 25, 26, 68, 69],
+    370: [22, 23, 24, 25, 68, 69],
+    380: [21, 22, 23, 68, 69],
+    390: [20, 21, 22, 68, 69],
+    400: [19, 20, 21, 69],
+    410: [17, 18, 19, 20, 69],
+    420: [16, 17, 18, 69],
+    430: [15, 16, 17, 69],
+    440: [14, 15, 16, 69],
+    450: [12, 13, 14, 15, 69],
+    460: [11, 12, 13, 14, 69],
+    470: [10, 11, 12, 69, 70],
+    480: [9, 10, 11, 69, 70],
+    490: [9, 10, 69, 70],
+    500: [9]
+  },
+  620: {
+    90: [57, 58, 59],
+    100: [55, 56, 57, 58, 59, 60, 61],
+    110: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    120: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    130: [50, 51, 52, 53, 54, 61, 62, 63],
+    140: [49, 50, 51, 52, 62, 63, 64],
+    150: [48, 49, 50, 62, 63, 64],
+    160: [47, 48, 49, 63, 64],
+    170: [46, 47, 48, 64, 65],
+    180: [44, 45, 46, 47, 64, 65],
+    190: [43, 44, 45, 64, 65],
+    200: [42, 43, 44, 65, 66],
+    210: [41, 42, 43, 65, 66],
+    220: [40, 41, 42, 65, 66],
+    230: [39, 40, 41, 65, 66],
+    240: [38, 39, 40, 66],
+    250: [36, 37, 38, 39, 66, 67],
+    260: [35, 36, 37, 66, 67],
+    270: [34, 35, 36, 66, 67],
+    280: [33, 34, 35, 66, 67],
+    290: [32, 33, 34, 67],
+    300: [31, 32, 33, 67],
+    310: [29, 30, 31, 32, 67],
+    320: [28, 29, 30, 31, 67, 68],
+    330: [27, 28, 29, 67, 68],
+    340: [26, 27, 28, 67, 68],
+    350: [25, 26, 27, 68],
+    360: [24, 25, 26, 68],
+    370: [22, 23, 24, 25, 68],
+    380: [21, 22, 23, 68],
+    390: [20, 21, 22, 68],
+    400: [19, 20, 21, 68],
+    410: [18, 19, 20, 68, 69],
+    420: [17, 18, 19, 68, 69],
+    430: [15, 16, 17, 68, 69],
+    440: [14, 15, 16, 68, 69],
+    450: [13, 14, 15, 69],
+    460: [12, 13, 14, 69],
+    470: [10, 11, 12, 13, 69],
+    480: [9, 10, 11, 69],
+    490: [9, 10, 69]
+  },
+  630: {
+    100: [56, 57, 58, 59, 60],
+    110: [54, 55, 56, 57, 58, 59, 60, 61],
+    120: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    130: [51, 52, 53, 54, 55, 59, 60, 61, 62],
+    140: [49, 50, 51, 52, 61, 62, 63],
+    150: [48, 49, 50, 51, 62, 63],
+    160: [47, 48, 49, 62, 63, 64],
+    170: [46, 47, 48, 63, 64],
+    180: [44, 45, 46, 47, 63, 64],
+    190: [43, 44, 45, 64, 65],
+    200: [42, 43, 44, 64, 65],
+    210: [41, 42, 43, 64, 65],
+    220: [40, 41, 42, 65],
+    230: [39, 40, 41, 65, 66],
+    240: [38, 39, 40, 65, 66],
+    250: [36, 37, 38, 39, 65, 66],
+    260: [35, 36, 37, 65, 66],
+    270: [34, 35, 36, 66],
+    280: [33, 34, 35, 66, 67],
+    290: [32, 33, 34, 66, 67],
+    300: [31, 32, 33, 66, 67],
+    310: [30, 31, 32, 66, 67],
+    320: [28, 29, 30, 31, 67],
+    330: [27, 28, 29, 67],
+    340: [26, 27, 28, 67],
+    350: [25, 26, 27, 67],
+    360: [24, 25, 26, 67, 68],
+    370: [23, 24, 25, 67, 68],
+    380: [21, 22, 23, 24, 67, 68],
+    390: [20, 21, 22, 67, 68],
+    400: [19, 20, 21, 68],
+    410: [18, 19, 20, 68],
+    420: [17, 18, 19, 68],
+    430: [15, 16, 17, 18, 68],
+    440: [14, 15, 16, 68],
+    450: [13, 14, 15, 68],
+    460: [12, 13, 14, 68],
+    470: [11, 12, 13, 68, 69],
+    480: [10, 11, 12, 68, 69],
+    490: [10, 11, 69]
+  },
+  640: {
+    110: [54, 55, 56, 57, 58, 59, 60],
+    120: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    130: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    140: [49, 50, 51, 52, 53, 59, 60, 61, 62],
+    150: [48, 49, 50, 51, 60, 61, 62, 63],
+    160: [47, 48, 49, 50, 61, 62, 63],
+    170: [46, 47, 48, 62, 63],
+    180: [44, 45, 46, 47, 62, 63, 64],
+    190: [43, 44, 45, 46, 63, 64],
+    200: [42, 43, 44, 63, 64],
+    210: [41, 42, 43, 64, 65],
+    220: [40, 41, 42, 64, 65],
+    230: [39, 40, 41, 64, 65],
+    240: [38, 39, 40, 64, 65],
+    250: [36, 37, 38, 39, 65],
+    260: [35, 36, 37, 65, 66],
+    270: [34, 35, 36, 65, 66],
+    280: [33, 34, 35, 65, 66],
+    290: [32, 33, 34, 65, 66],
+    300: [31, 32, 33, 66],
+    310: [30, 31, 32, 66],
+    320: [28, 29, 30, 31, 66, 67],
+    330: [27, 28, 29, 66, 67],
+    340: [26, 27, 28, 66, 67],
+    350: [25, 26, 27, 66, 67],
+    360: [24, 25, 26, 67],
+    370: [23, 24, 25, 67],
+    380: [21, 22, 23, 24, 67],
+    390: [20, 21, 22, 23, 67],
+    400: [19, 20, 21, 67, 68],
+    410: [18, 19, 20, 67, 68],
+    420: [17, 18, 19, 67, 68],
+    430: [16, 17, 18, 67, 68],
+    440: [15, 16, 17, 68],
+    450: [13, 14, 15, 16, 68],
+    460: [12, 13, 14, 68],
+    470: [11, 12, 13, 68],
+    480: [10, 11, 12, 68],
+    490: [10, 11, 68],
+    500: [10]
+  },
+  650: {
+    110: [55, 56, 57, 58],
+    120: [53, 54, 55, 56, 57, 58, 59, 60],
+    130: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    140: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    150: [48, 49, 50, 51, 52, 59, 60, 61, 62],
+    160: [47, 48, 49, 50, 60, 61, 62],
+    170: [46, 47, 48, 61, 62, 63],
+    180: [45, 46, 47, 61, 62, 63],
+    190: [43, 44, 45, 46, 62, 63],
+    200: [42, 43, 44, 62, 63, 64],
+    210: [41, 42, 43, 63, 64],
+    220: [40, 41, 42, 63, 64],
+    230: [39, 40, 41, 63, 64],
+    240: [38, 39, 40, 64, 65],
+    250: [36, 37, 38, 39, 64, 65],
+    260: [35, 36, 37, 64, 65],
+    270: [34, 35, 36, 64, 65],
+    280: [33, 34, 35, 65],
+    290: [32, 33, 34, 65, 66],
+    300: [31, 32, 33, 65, 66],
+    310: [30, 31, 32, 65, 66],
+    320: [29, 30, 31, 65, 66],
+    330: [28, 29, 30, 66],
+    340: [26, 27, 28, 66],
+    350: [25, 26, 27, 66],
+    360: [24, 25, 26, 66, 67],
+    370: [23, 24, 25, 66, 67],
+    380: [22, 23, 24, 66, 67],
+    390: [21, 22, 23, 66, 67],
+    400: [19, 20, 21, 22, 67],
+    410: [18, 19, 20, 67],
+    420: [17, 18, 19, 67],
+    430: [16, 17, 18, 67],
+    440: [15, 16, 17, 67],
+    450: [14, 15, 16, 67, 68],
+    460: [12, 13, 14, 15, 67, 68],
+    470: [11, 12, 13, 67, 68],
+    480: [11, 12, 67, 68],
+    490: [10, 11, 67]
+  },
+  660: {
+    120: [54, 55, 56, 57, 58],
+    130: [52, 53, 54, 55, 56, 57, 58, 59],
+    140: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    150: [49, 50, 51, 52, 53, 57, 58, 59, 60, 61],
+    160: [47, 48, 49, 50, 59, 60, 61],
+    170: [46, 47, 48, 49, 60, 61, 62],
+    180: [45, 46, 47, 61, 62],
+    190: [43, 44, 45, 46, 61, 62, 63],
+    200: [42, 43, 44, 45, 62, 63],
+    210: [41, 42, 43, 62, 63],
+    220: [40, 41, 42, 62, 63, 64],
+    230: [39, 40, 41, 63, 64],
+    240: [38, 39, 40, 63, 64],
+    250: [37, 38, 39, 63, 64],
+    260: [35, 36, 37, 38, 64],
+    270: [34, 35, 36, 64, 65],
+    280: [33, 34, 35, 64, 65],
+    290: [32, 33, 34, 64, 65],
+    300: [31, 32, 33, 65],
+    310: [30, 31, 32, 65],
+    320: [29, 30, 31, 65],
+    330: [28, 29, 30, 65, 66],
+    340: [26, 27, 28, 65, 66],
+    350: [25, 26, 27, 65, 66],
+    360: [24, 25, 26, 65, 66],
+    370: [23, 24, 25, 66],
+    380: [22, 23, 24, 66],
+    390: [21, 22, 23, 66],
+    400: [20, 21, 22, 66],
+    410: [18, 19, 20, 21, 66, 67],
+    420: [17, 18, 19, 66, 67],
+    430: [16, 17, 18, 66, 67],
+    440: [15, 16, 17, 67],
+    450: [14, 15, 16, 67],
+    460: [13, 14, 15, 67],
+    470: [12, 13, 14, 67],
+    480: [11, 12, 13, 67],
+    490: [11, 12, 67],
+    500: [67]
+  },
+  670: {
+    130: [52, 53, 54, 55, 56, 57, 58],
+    140: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    150: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    160: [47, 48, 49, 50, 51, 57, 58, 59, 60],
+    170: [46, 47, 48, 49, 59, 60, 61],
+    180: [45, 46, 47, 48, 60, 61],
+    190: [44, 45, 46, 60, 61, 62],
+    200: [42, 43, 44, 45, 61, 62],
+    210: [41, 42, 43, 44, 61, 62, 63],
+    220: [40, 41, 42, 62, 63],
+    230: [39, 40, 41, 62, 63],
+    240: [38, 39, 40, 62, 63],
+    250: [37, 38, 39, 63, 64],
+    260: [36, 37, 38, 63, 64],
+    270: [35, 36, 37, 63, 64],
+    280: [33, 34, 35, 63, 64],
+    290: [32, 33, 34, 64],
+    300: [31, 32, 33, 64, 65],
+    310: [30, 31, 32, 64, 65],
+    320: [29, 30, 31, 64, 65],
+    330: [28, 29, 30, 64, 65],
+    340: [27, 28, 29, 65],
+    350: [26, 27, 28, 65],
+    360: [24, 25, 26, 65],
+    370: [23, 24, 25, 65, 66],
+    380: [22, 23, 24, 65, 66],
+    390: [21, 22, 23, 65, 66],
+    400: [20, 21, 22, 66],
+    410: [19, 20, 21, 66],
+    420: [18, 19, 20, 66],
+    430: [16, 17, 18, 19, 66],
+    440: [15, 16, 17, 66],
+    450: [14, 15, 16, 66],
+    460: [13, 14, 15, 66, 67],
+    470: [12, 13, 14, 66, 67],
+    480: [11, 12, 13, 66, 67],
+    490: [11, 12, 67]
+  },
+  680: {
+    130: [54, 55, 56],
+    140: [51, 52, 53, 54, 55, 56, 57, 58],
+    150: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    160: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    170: [46, 47, 48, 49, 50, 57, 58, 59, 60],
+    180: [45, 46, 47, 48, 58, 59, 60, 61],
+    190: [44, 45, 46, 47, 59, 60, 61],
+    200: [43, 44, 45, 60, 61],
+    210: [41, 42, 43, 44, 60, 61, 62],
+    220: [40, 41, 42, 43, 61, 62],
+    230: [39, 40, 41, 61, 62],
+    240: [38, 39, 40, 62, 63],
+    250: [37, 38, 39, 62, 63],
+    260: [36, 37, 38, 62, 63],
+    270: [35, 36, 37, 63],
+    280: [33, 34, 35, 36, 63, 64],
+    290: [32, 33, 34, 63, 64],
+    300: [31, 32, 33, 63, 64],
+    310: [30, 31, 32, 63, 64],
+    320: [29, 30, 31, 64],
+    330: [28, 29, 30, 64, 65],
+    340: [27, 28, 29, 64, 65],
+    350: [26, 27, 28, 64, 65],
+    360: [25, 26, 27, 64, 65],
+    370: [24, 25, 26, 65],
+    380: [22, 23, 24, 65],
+    390: [21, 22, 23, 65],
+    400: [20, 21, 22, 65],
+    410: [19, 20, 21, 65, 66],
+    420: [18, 19, 20, 65, 66],
+    430: [17, 18, 19, 65, 66],
+    440: [16, 17, 18, 66],
+    450: [14, 15, 16, 17, 66],
+    460: [13, 14, 15, 16, 66],
+    470: [12, 13, 14, 66],
+    480: [12, 13, 66],
+    490: [12, 66]
+  },
+  690: {
+    140: [52, 53, 54, 55, 56],
+    150: [50, 51, 52, 53, 54, 55, 56, 57, 58],
+    160: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    170: [47, 48, 49, 50, 51, 52, 55, 56, 57, 58, 59],
+    180: [45, 46, 47, 48, 49, 57, 58, 59, 60],
+    190: [44, 45, 46, 47, 58, 59, 60],
+    200: [43, 44, 45, 46, 59, 60, 61],
+    210: [42, 43, 44, 60, 61],
+    220: [41, 42, 43, 60, 61],
+    230: [39, 40, 41, 42, 61, 62],
+    240: [38, 39, 40, 61, 62],
+    250: [37, 38, 39, 61, 62],
+    260: [36, 37, 38, 62, 63],
+    270: [35, 36, 37, 62, 63],
+    280: [34, 35, 36, 62, 63],
+    290: [32, 33, 34, 35, 62, 63],
+    300: [31, 32, 33, 63],
+    310: [30, 31, 32, 63, 64],
+    320: [29, 30, 31, 63, 64],
+    330: [28, 29, 30, 63, 64],
+    340: [27, 28, 29, 63, 64],
+    350: [26, 27, 28, 64],
+    360: [25, 26, 27, 64],
+    370: [24, 25, 26, 64, 65],
+    380: [22, 23, 24, 25, 64, 65],
+    390: [21, 22, 23, 24, 64, 65],
+    400: [20, 21, 22, 64, 65],
+    410: [19, 20, 21, 65],
+    420: [18, 19, 20, 65],
+    430: [17, 18, 19, 65],
+    440: [16, 17, 18, 65],
+    450: [15, 16, 17, 65],
+    460: [14, 15, 16, 65, 66],
+    470: [13, 14, 15, 65, 66],
+    480: [12, 13, 65, 66],
+    490: [12, 13, 66]
+  },
+  700: {
+    150: [51, 52, 53, 54, 55, 56],
+    160: [49, 50, 51, 52, 53, 54, 55, 56, 57],
+    170: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    180: [46, 47, 48, 49, 50, 55, 56, 57, 58, 59],
+    190: [44, 45, 46, 47, 48, 57, 58, 59],
+    200: [43, 44, 45, 46, 58, 59, 60],
+    210: [42, 43, 44, 45, 59, 60],
+    220: [41, 42, 43, 59, 60, 61],
+    230: [39, 40, 41, 42, 60, 61],
+    240: [38, 39, 40, 41, 60, 61],
+    250: [37, 38, 39, 60, 61, 62],
+    260: [36, 37, 38, 61, 62],
+    270: [35, 36, 37, 61, 62],
+    280: [34, 35, 36, 61, 62],
+    290: [33, 34, 35, 62, 63],
+    300: [32, 33, 34, 62, 63],
+    310: [30, 31, 32, 33, 62, 63],
+    320: [29, 30, 31, 62, 63],
+    330: [28, 29, 30, 63],
+    340: [27, 28, 29, 63, 64],
+    350: [26, 27, 28, 63, 64],
+    360: [25, 26, 27, 63, 64],
+    370: [24, 25, 26, 63, 64],
+    380: [23, 24, 25, 64],
+    390: [22, 23, 24, 64],
+    400: [21, 22, 23, 64],
+    410: [19, 20, 21, 22, 64, 65],
+    420: [19, 20, 64, 65],
+    430: [17, 18, 19, 64, 65],
+    440: [16, 17, 18, 64, 65],
+    450: [15, 16, 17, 65],
+    460: [14, 15, 16, 65],
+    470: [13, 14, 15, 65],
+    480: [12, 13, 14, 65],
+    490: [12, 13, 65]
+  },
+  710: {
+    150: [53, 54],
+    160: [50, 51, 52, 53, 54, 55, 56],
+    170: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    180: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    190: [45, 46, 47, 48, 49, 55, 56, 57, 58, 59],
+    200: [43, 44, 45, 46, 47, 57, 58, 59],
+    210: [42, 43, 44, 45, 58, 59],
+    220: [41, 42, 43, 44, 58, 59, 60],
+    230: [40, 41, 42, 59, 60],
+    240: [39, 40, 41, 59, 60, 61],
+    250: [37, 38, 39, 40, 60, 61],
+    260: [36, 37, 38, 60, 61],
+    270: [35, 36, 37, 60, 61],
+    280: [34, 35, 36, 61, 62],
+    290: [33, 34, 35, 61, 62],
+    300: [32, 33, 34, 61, 62],
+    310: [31, 32, 33, 62],
+    320: [30, 31, 32, 62, 63],
+    330: [28, 29, 30, 31, 62, 63],
+    340: [27, 28, 29, 62, 63],
+    350: [26, 27, 28, 62, 63],
+    360: [25, 26, 27, 63],
+    370: [24, 25, 26, 63],
+    380: [23, 24, 25, 63, 64],
+    390: [22, 23, 24, 63, 64],
+    400: [21, 22, 23, 63, 64],
+    410: [20, 21, 22, 63, 64],
+    420: [19, 20, 21, 64],
+    430: [18, 19, 20, 64],
+    440: [17, 18, 19, 64],
+    450: [16, 17, 18, 64, 65],
+    460: [14, 15, 16, 64, 65],
+    470: [13, 14, 15, 64, 65],
+    480: [13, 14, 64, 65],
+    490: [13, 65]
+  },
+  720: {
+    160: [51, 52, 53, 54],
+    170: [49, 50, 51, 52, 53, 54, 55, 56],
+    180: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    190: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    200: [44, 45, 46, 47, 48, 55, 56, 57, 58],
+    210: [43, 44, 45, 46, 56, 57, 58, 59],
+    220: [41, 42, 43, 44, 57, 58, 59],
+    230: [40, 41, 42, 43, 58, 59, 60],
+    240: [39, 40, 41, 58, 59, 60],
+    250: [38, 39, 40, 59, 60],
+    260: [36, 37, 38, 39, 59, 60, 61],
+    270: [35, 36, 37, 38, 60, 61],
+    280: [34, 35, 36, 60, 61],
+    290: [33, 34, 35, 60, 61],
+    300: [32, 33, 34, 61, 62],
+    310: [31, 32, 33, 61, 62],
+    320: [30, 31, 32, 61, 62],
+    330: [29, 30, 31, 61, 62],
+    340: [28, 29, 30, 62],
+    350: [27, 28, 62, 63],
+    360: [25, 26, 27, 28, 62, 63],
+    370: [24, 25, 26, 62, 63],
+    380: [23, 24, 25, 62, 63],
+    390: [22, 23, 24, 63],
+    400: [21, 22, 23, 63],
+    410: [20, 21, 22, 63],
+    420: [19, 20, 21, 63, 64],
+    430: [18, 19, 20, 63, 64],
+    440: [17, 18, 19, 63, 64],
+    450: [16, 17, 18, 63, 64],
+    460: [15, 16, 17, 64],
+    470: [14, 15, 16, 64],
+    480: [13, 14, 15, 64],
+    490: [13, 14, 64]
+  },
+  730: {
+    170: [50, 51, 52, 53, 54],
+    180: [48, 49, 50, 51, 52, 53, 54, 55, 56],
+    190: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    200: [44, 45, 46, 47, 48, 49, 50, 53, 54, 55, 56, 57],
+    210: [43, 44, 45, 46, 47, 55, 56, 57, 58],
+    220: [42, 43, 44, 45, 56, 57, 58],
+    230: [40, 41, 42, 43, 57, 58, 59],
+    240: [39, 40, 41, 42, 57, 58, 59],
+    250: [38, 39, 40, 58, 59, 60],
+    260: [37, 38, 39, 59, 60],
+    270: [36, 37, 38, 59, 60],
+    280: [34, 35, 36, 37, 59, 60],
+    290: [33, 34, 35, 36, 60, 61],
+    300: [32, 33, 34, 60, 61],
+    310: [31, 32, 33, 60, 61],
+    320: [30, 31, 32, 60, 61],
+    330: [29, 30, 31, 61, 62],
+    340: [28, 29, 30, 61, 62],
+    350: [27, 28, 29, 61, 62],
+    360: [26, 27, 28, 61, 62],
+    370: [25, 26, 27, 62],
+    380: [24, 25, 26, 62],
+    390: [22, 23, 24, 62, 63],
+    400: [22, 23, 62, 63],
+    410: [20, 21, 22, 62, 63],
+    420: [19, 20, 21, 62, 63],
+    430: [18, 19, 20, 63],
+    440: [17, 18, 19, 63],
+    450: [16, 17, 18, 63],
+    460: [15, 16, 17, 63, 64],
+    470: [14, 15, 16, 63, 64],
+    480: [13, 14, 15, 63, 64],
+    490: [13, 14]
+  },
+  740: {
+    180: [49, 50, 51, 52, 53, 54],
+    190: [47, 48, 49, 50, 51, 52, 53, 54, 55],
+    200: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    210: [43, 44, 45, 46, 47, 48, 53, 54, 55, 56, 57],
+    220: [42, 43, 44, 45, 46, 55, 56, 57],
+    230: [41, 42, 43, 44, 56, 57, 58],
+    240: [39, 40, 41, 42, 56, 57, 58],
+    250: [38, 39, 40, 41, 57, 58, 59],
+    260: [37, 38, 39, 40, 58, 59],
+    270: [36, 37, 38, 58, 59],
+    280: [35, 36, 37, 58, 59, 60],
+    290: [34, 35, 36, 59, 60],
+    300: [33, 34, 35, 59, 60],
+    310: [31, 32, 33, 34, 59, 60, 61],
+    320: [30, 31, 32, 60, 61],
+    330: [29, 30, 31, 60, 61],
+    340: [28, 29, 30, 60, 61],
+    350: [27, 28, 29, 61],
+    360: [26, 27, 28, 61, 62],
+    370: [25, 26, 27, 61, 62],
+    380: [24, 25, 26, 61, 62],
+    390: [23, 24, 25, 61, 62],
+    400: [22, 23, 24, 62],
+    410: [21, 22, 23, 62],
+    420: [20, 21, 22, 62, 63],
+    430: [19, 20, 21, 62, 63],
+    440: [18, 19, 20, 62, 63],
+    450: [16, 17, 18, 62, 63],
+    460: [16, 17, 18, 63],
+    470: [15, 16, 63],
+    480: [14, 15, 63],
+    490: [14]
+  },
+  750: {
+    190: [47, 48, 49, 50, 51, 52, 53, 54],
+    200: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    210: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    220: [43, 44, 45, 46, 47, 53, 54, 55, 56],
+    230: [41, 42, 43, 44, 45, 54, 55, 56, 57],
+    240: [40, 41, 42, 43, 55, 56, 57],
+    250: [39, 40, 41, 56, 57, 58],
+    260: [37, 38, 39, 40, 57, 58],
+    270: [36, 37, 38, 39, 57, 58, 59],
+    280: [35, 36, 37, 58, 59],
+    290: [34, 35, 36, 58, 59],
+    300: [33, 34, 35, 58, 59, 60],
+    310: [32, 33, 34, 59, 60],
+    320: [31, 32, 33, 59, 60],
+    330: [30, 31, 32, 59, 60],
+    340: [28, 29, 30, 31, 60, 61],
+    350: [27, 28, 29, 60, 61],
+    360: [26, 27, 28, 60, 61],
+    370: [25, 26, 27, 60, 61],
+    380: [24, 25, 26, 61],
+    390: [23, 24, 25, 61],
+    400: [22, 23, 24, 61, 62],
+    410: [21, 22, 23, 61, 62],
+    420: [20, 21, 22, 61, 62],
+    430: [19, 20, 21, 61, 62],
+    440: [18, 19, 20, 62],
+    450: [17, 18, 19, 62],
+    460: [16, 17, 18, 62, 63],
+    470: [15, 16, 17, 62, 63],
+    480: [14, 15, 16, 62, 63],
+    490: [14, 15, 62]
+  },
+  760: {
+    190: [50, 51],
+    200: [47, 48, 49, 50, 51, 52, 53],
+    210: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    220: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    230: [42, 43, 44, 45, 46, 52, 53, 54, 55, 56],
+    240: [40, 41, 42, 43, 44, 54, 55, 56, 57],
+    250: [39, 40, 41, 42, 55, 56, 57],
+    260: [38, 39, 40, 41, 56, 57, 58],
+    270: [37, 38, 39, 56, 57, 58],
+    280: [35, 36, 37, 38, 57, 58],
+    290: [34, 35, 36, 37, 57, 58, 59],
+    300: [33, 34, 35, 58, 59],
+    310: [32, 33, 34, 58, 59],
+    320: [31, 32, 33, 58, 59],
+    330: [30, 31, 32, 59, 60],
+    340: [29, 30, 31, 59, 60],
+    350: [28, 29, 30, 59, 60],
+    360: [27, 28, 29, 59, 60],
+    370: [26, 27, 28, 60, 61],
+    380: [24, 25, 26, 27, 60, 61],
+    390: [24, 25, 60, 61],
+    400: [22, 23, 24, 60, 61],
+    410: [21, 22, 23, 61],
+    420: [20, 21, 22, 61],
+    430: [19, 20, 21, 61, 62],
+    440: [18, 19, 20, 61, 62],
+    450: [17, 18, 19, 61, 62],
+    460: [16, 17, 18, 61, 62],
+    470: [15, 16, 17, 62],
+    480: [15, 16, 62],
+    490: [15, 62],
+    500: [62]
+  },
+  770: {
+    200: [48, 49, 50, 51],
+    210: [46, 47, 48, 49, 50, 51, 52, 53],
+    220: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    230: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    240: [41, 42, 43, 44, 45, 52, 53, 54, 55, 56],
+    250: [40, 41, 42, 43, 54, 55, 56],
+    260: [38, 39, 40, 41, 54, 55, 56, 57],
+    270: [37, 38, 39, 40, 55, 56, 57],
+    280: [36, 37, 38, 56, 57, 58],
+    290: [35, 36, 37, 56, 57, 58],
+    300: [33, 34, 35, 36, 57, 58],
+    310: [32, 33, 34, 35, 57, 58],
+    320: [31, 32, 33, 34, 58, 59],
+    330: [30, 31, 32, 58, 59],
+    340: [29, 30, 31, 58, 59],
+    350: [28, 29, 30, 58, 59],
+    360: [27, 28, 29, 59, 60],
+    370: [26, 27, 28, 59, 60],
+    380: [25, 26, 27, 59, 60],
+    390: [24, 25, 26, 59, 60],
+    400: [23, 24, 25, 60],
+    410: [22, 23, 24, 60, 61],
+    420: [21, 22, 23, 60, 61],
+    430: [20, 21, 22, 60, 61],
+    440: [19, 20, 21, 60, 61],
+    450: [18, 19, 20, 61],
+    460: [17, 18, 19, 61],
+    470: [16, 17, 61, 62],
+    480: [15, 16, 17, 61, 62],
+    490: [15, 16, 61, 62]
+  },
+  780: {
+    210: [47, 48, 49, 50, 51],
+    220: [45, 46, 47, 48, 49, 50, 51, 52, 53],
+    230: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    240: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    250: [40, 41, 42, 43, 44, 52, 53, 54, 55],
+    260: [39, 40, 41, 42, 53, 54, 55, 56],
+    270: [37, 38, 39, 40, 41, 54, 55, 56],
+    280: [36, 37, 38, 39, 55, 56, 57],
+    290: [35, 36, 37, 38, 55, 56, 57],
+    300: [34, 35, 36, 56, 57],
+    310: [33, 34, 35, 56, 57, 58],
+    320: [32, 33, 34, 57, 58],
+    330: [31, 32, 33, 57, 58],
+    340: [29, 30, 31, 32, 57, 58, 59],
+    350: [28, 29, 30, 31, 58, 59],
+    360: [27, 28, 29, 58, 59],
+    370: [26, 27, 28, 58, 59],
+    380: [25, 26, 27, 59],
+    390: [24, 25, 26, 59, 60],
+    400: [23, 24, 25, 59, 60],
+    410: [22, 23, 24, 59, 60],
+    420: [21, 22, 23, 60],
+    430: [20, 21, 22, 60],
+    440: [19, 20, 21, 60, 61],
+    450: [18, 19, 20, 60, 61],
+    460: [17, 18, 19, 60, 61],
+    470: [16, 17, 18, 60, 61],
+    480: [16, 17, 61],
+    490: [16, 61]
+  },
+  790: {
+    220: [46, 47, 48, 49, 50, 51],
+    230: [44, 45, 46, 47, 48, 49, 50, 51, 52],
+    240: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    250: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    260: [39, 40, 41, 42, 43, 51, 52, 53, 54, 55],
+    270: [38, 39, 40, 41, 53, 54, 55],
+    280: [37, 38, 39, 40, 54, 55, 56],
+    290: [35, 36, 37, 38, 54, 55, 56],
+    300: [34, 35, 36, 37, 55, 56, 57],
+    310: [33, 34, 35, 36, 55, 56, 57],
+    320: [32, 33, 34, 56, 57],
+    330: [31, 32, 33, 56, 57, 58],
+    340: [30, 31, 32, 57, 58],
+    350: [29, 30, 31, 57, 58],
+    360: [28, 29, 30, 57, 58],
+    370: [27, 28, 29, 58, 59],
+    380: [26, 27, 28, 58, 59],
+    390: [25, 26, 27, 58, 59],
+    400: [23, 24, 25, 26, 58, 59],
+    410: [23, 24, 25, 59],
+    420: [21, 22, 23, 59, 60],
+    430: [20, 21, 22, 59, 60],
+    440: [20, 21, 59, 60],
+    450: [18, 19, 20, 59, 60],
+    460: [17, 18, 19, 60],
+    470: [17, 18, 60],
+    480: [16, 17, 60, 61],
+    490: [16, 60, 61]
+  },
+  800: {
+    230: [45, 46, 47, 48, 49, 50],
+    240: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    250: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    260: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    270: [39, 40, 41, 42, 43, 51, 52, 53, 54],
+    280: [37, 38, 39, 40, 41, 52, 53, 54, 55],
+    290: [36, 37, 38, 39, 53, 54, 55],
+    300: [35, 36, 37, 38, 54, 55, 56],
+    310: [34, 35, 36, 54, 55, 56],
+    320: [32, 33, 34, 35, 55, 56, 57],
+    330: [31, 32, 33, 34, 55, 56, 57],
+    340: [30, 31, 32, 33, 56, 57],
+    350: [29, 30, 31, 56, 57],
+    360: [28, 29, 30, 57, 58],
+    370: [27, 28, 29, 57, 58],
+    380: [26, 27, 28, 57, 58],
+    390: [25, 26, 27, 57, 58],
+    400: [24, 25, 26, 58, 59],
+    410: [23, 24, 25, 58, 59],
+    420: [22, 23, 24, 58, 59],
+    430: [21, 22, 23, 58, 59],
+    440: [20, 21, 22, 59],
+    450: [19, 20, 21, 59],
+    460: [18, 19, 20, 59, 60],
+    470: [17, 18, 19, 59, 60],
+    480: [16, 17, 18, 59, 60],
+    490: [16, 17, 60]
+  },
+  810: {
+    240: [44, 45, 46, 47, 48, 49, 50],
+    250: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    260: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    270: [39, 40, 41, 42, 43, 44, 45, 48, 49, 50, 51, 52, 53],
+    280: [38, 39, 40, 41, 42, 51, 52, 53, 54],
+    290: [37, 38, 39, 40, 52, 53, 54],
+    300: [35, 36, 37, 38, 53, 54, 55],
+    310: [34, 35, 36, 37, 53, 54, 55],
+    320: [33, 34, 35, 36, 54, 55, 56],
+    330: [32, 33, 34, 54, 55, 56],
+    340: [31, 32, 33, 55, 56],
+    350: [30, 31, 32, 55, 56, 57],
+    360: [29, 30, 31, 56, 57],
+    370: [27, 28, 29, 30, 56, 57],
+    380: [26, 27, 28, 29, 56, 57],
+    390: [25, 26, 27, 28, 57, 58],
+    400: [24, 25, 26, 57, 58],
+    410: [23, 24, 25, 57, 58],
+    420: [22, 23, 24, 58],
+    430: [21, 22, 23, 58, 59],
+    440: [20, 21, 22, 58, 59],
+    450: [19, 20, 21, 58, 59],
+    460: [18, 19, 20, 58, 59],
+    470: [17, 18, 19, 59],
+    480: [17, 18, 59],
+    490: [17, 59]
+  },
+  820: {
+    250: [44, 45, 46, 47, 48, 49, 50],
+    260: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    270: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    280: [39, 40, 41, 42, 43, 44, 48, 49, 50, 51, 52, 53],
+    290: [37, 38, 39, 40, 41, 50, 51, 52, 53, 54],
+    300: [36, 37, 38, 39, 52, 53, 54],
+    310: [35, 36, 37, 38, 52, 53, 54],
+    320: [34, 35, 36, 53, 54, 55],
+    330: [32, 33, 34, 35, 54, 55],
+    340: [31, 32, 33, 34, 54, 55, 56],
+    350: [30, 31, 32, 54, 55, 56],
+    360: [29, 30, 31, 55, 56],
+    370: [28, 29, 30, 55, 56, 57],
+    380: [27, 28, 29, 56, 57],
+    390: [26, 27, 28, 56, 57],
+    400: [25, 26, 27, 56, 57],
+    410: [24, 25, 26, 57, 58],
+    420: [23, 24, 25, 57, 58],
+    430: [22, 23, 24, 57, 58],
+    440: [21, 22, 23, 57, 58],
+    450: [20, 21, 22, 57, 58],
+    460: [19, 20, 21, 58],
+    470: [18, 19, 20, 58, 59],
+    480: [17, 18, 19, 58, 59],
+    490: [17, 18, 58, 59]
+  },
+  830: {
+    260: [43, 44, 45, 46, 47, 48, 49, 50],
+    270: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    280: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    290: [38, 39, 40, 41, 42, 43, 44, 48, 49, 50, 51, 52],
+    300: [36, 37, 38, 39, 40, 41, 50, 51, 52, 53],
+    310: [35, 36, 37, 38, 39, 51, 52, 53, 54],
+    320: [34, 35, 36, 37, 52, 53, 54],
+    330: [33, 34, 35, 36, 53, 54],
+    340: [32, 33, 34, 53, 54, 55],
+    350: [31, 32, 33, 54, 55],
+    360: [30, 31, 32, 54, 55],
+    370: [28, 29, 30, 31, 54, 55, 56],
+    380: [27, 28, 29, 30, 55, 56],
+    390: [26, 27, 28, 55, 56],
+    400: [25, 26, 27, 55, 56, 57],
+    410: [24, 25, 26, 56, 57],
+    420: [23, 24, 25, 56, 57],
+    430: [22, 23, 24, 56, 57],
+    440: [21, 22, 23, 57, 58],
+    450: [20, 21, 22, 57, 58],
+    460: [19, 20, 21, 57, 58],
+    470: [18, 19, 20, 57, 58],
+    480: [18, 19, 58],
+    490: [18, 58]
+  },
+  840: {
+    260: [46],
+    270: [42, 43, 44, 45, 46, 47, 48, 49],
+    280: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    290: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    300: [37, 38, 39, 40, 41, 42, 43, 47, 48, 49, 50, 51, 52],
+    310: [36, 37, 38, 39, 40, 49, 50, 51, 52, 53],
+    320: [35, 36, 37, 38, 50, 51, 52, 53],
+    330: [34, 35, 36, 37, 51, 52, 53, 54],
+    340: [32, 33, 34, 35, 52, 53, 54],
+    350: [31, 32, 33, 34, 53, 54],
+    360: [30, 31, 32, 33, 53, 54, 55],
+    370: [29, 30, 31, 54, 55],
+    380: [28, 29, 30, 54, 55],
+    390: [27, 28, 29, 54, 55, 56],
+    400: [26, 27, 28, 55, 56],
+    410: [25, 26, 27, 55, 56],
+    420: [24, 25, 26, 55, 56],
+    430: [23, 24, 25, 56, 57],
+    440: [22, 23, 24, 56, 57],
+    450: [21, 22, 23, 56, 57],
+    460: [20, 21, 22, 56, 57],
+    470: [19, 20, 21, 57],
+    480: [18, 19, 20, 57, 58],
+    490: [18, 19, 57, 58]
+  },
+  850: {
+    270: [45],
+    280: [42, 43, 44, 45, 46, 47, 48, 49],
+    290: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    300: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    310: [37, 38, 39, 40, 41, 42, 43, 47, 48, 49, 50, 51],
+    320: [35, 36, 37, 38, 39, 49, 50, 51, 52],
+    330: [34, 35, 36, 37, 38, 50, 51, 52, 53],
+    340: [33, 34, 35, 36, 51, 52, 53],
+    350: [32, 33, 34, 35, 51, 52, 53, 54],
+    360: [31, 32, 33, 52, 53, 54],
+    370: [30, 31, 32, 53, 54],
+    380: [28, 29, 30, 31, 53, 54, 55],
+    390: [27, 28, 29, 30, 53, 54, 55],
+    400: [26, 27, 28, 54, 55],
+    410: [25, 26, 27, 54, 55],
+    420: [24, 25, 26, 55, 56],
+    430: [23, 24, 25, 55, 56],
+    440: [22, 23, 24, 55, 56],
+    450: [21, 22, 23, 55, 56],
+    460: [20, 21, 22, 56, 57],
+    470: [19, 20, 21, 56, 57],
+    480: [19, 20, 56, 57],
+    490: [19, 56, 57]
+  },
+  860: {
+    280: [45, 46],
+    290: [41, 42, 43, 44, 45, 46, 47, 48],
+    300: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    310: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    320: [36, 37, 38, 39, 40, 41, 42, 46, 47, 48, 49, 50, 51],
+    330: [35, 36, 37, 38, 39, 48, 49, 50, 51, 52],
+    340: [34, 35, 36, 37, 49, 50, 51, 52],
+    350: [32, 33, 34, 35, 36, 50, 51, 52, 53],
+    360: [31, 32, 33, 34, 51, 52, 53],
+    370: [30, 31, 32, 33, 52, 53],
+    380: [29, 30, 31, 32, 52, 53, 54],
+    390: [28, 29, 30, 53, 54],
+    400: [27, 28, 29, 53, 54],
+    410: [26, 27, 28, 53, 54, 55],
+    420: [25, 26, 27, 54, 55],
+    430: [24, 25, 26, 54, 55],
+    440: [23, 24, 25, 54, 55, 56],
+    450: [22, 23, 24, 55, 56],
+    460: [21, 22, 23, 55, 56],
+    470: [20, 21, 22, 55, 56],
+    480: [19, 20, 21, 55, 56],
+    490: [19, 20, 56]
+  },
+  870: {
+    290: [44],
+    300: [41, 42, 43, 44, 45, 46, 47, 48],
+    310: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    320: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    330: [36, 37, 38, 39, 40, 41, 42, 45, 46, 47, 48, 49, 50],
+    340: [34, 35, 36, 37, 38, 39, 48, 49, 50, 51],
+    350: [33, 34, 35, 36, 37, 49, 50, 51, 52],
+    360: [32, 33, 34, 35, 50, 51, 52],
+    370: [31, 32, 33, 34, 50, 51, 52, 53],
+    380: [30, 31, 32, 51, 52, 53],
+    390: [28, 29, 30, 31, 52, 53],
+    400: [27, 28, 29, 30, 52, 53, 54],
+    410: [26, 27, 28, 29, 53, 54],
+    420: [25, 26, 27, 28, 53, 54],
+    430: [24, 25, 26, 53, 54, 55],
+    440: [23, 24, 25, 54, 55],
+    450: [22, 23, 24, 54, 55],
+    460: [21, 22, 23, 54, 55],
+    470: [20, 21, 22, 55, 56],
+    480: [20, 21, 55, 56],
+    490: [20, 55, 56]
+  },
+  880: {
+    300: [44],
+    310: [40, 41, 42, 43, 44, 45, 46, 47],
+    320: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    330: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    340: [35, 36, 37, 38, 39, 40, 41, 44, 45, 46, 47, 48, 49, 50],
+    350: [34, 35, 36, 37, 38, 47, 48, 49, 50, 51],
+    360: [33, 34, 35, 36, 48, 49, 50, 51],
+    370: [31, 32, 33, 34, 35, 49, 50, 51, 52],
+    380: [30, 31, 32, 33, 50, 51, 52],
+    390: [29, 30, 31, 32, 51, 52, 53],
+    400: [28, 29, 30, 31, 51, 52, 53],
+    410: [27, 28, 29, 52, 53],
+    420: [26, 27, 28, 52, 53, 54],
+    430: [25, 26, 27, 52, 53, 54],
+    440: [24, 25, 26, 53, 54],
+    450: [23, 24, 25, 53, 54],
+    460: [22, 23, 24, 53, 54, 55],
+    470: [21, 22, 23, 54, 55],
+    480: [20, 21, 22, 54, 55],
+    490: [20, 21, 54, 55]
+  },
+  890: {
+    320: [40, 41, 42, 43, 44, 45, 46],
+    330: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    340: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    350: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    360: [33, 34, 35, 36, 37, 38, 46, 47, 48, 49, 50],
+    370: [32, 33, 34, 35, 36, 48, 49, 50, 51],
+    380: [31, 32, 33, 34, 49, 50, 51],
+    390: [30, 31, 32, 33, 49, 50, 51, 52],
+    400: [29, 30, 31, 50, 51, 52],
+    410: [27, 28, 29, 30, 51, 52],
+    420: [26, 27, 28, 29, 51, 52, 53],
+    430: [25, 26, 27, 28, 51, 52, 53],
+    440: [24, 25, 26, 27, 52, 53],
+    450: [23, 24, 25, 26, 52, 53, 54],
+    460: [22, 23, 24, 25, 53, 54],
+    470: [21, 22, 23, 53, 54],
+    480: [21, 22, 23, 53, 54],
+    490: [21, 54]
+  },
+  900: {
+    330: [39, 40, 41, 42, 43, 44, 45, 46],
+    340: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    350: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    360: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    370: [33, 34, 35, 36, 37, 38, 46, 47, 48, 49, 50],
+    380: [32, 33, 34, 35, 47, 48, 49, 50],
+    390: [30, 31, 32, 33, 34, 48, 49, 50, 51],
+    400: [29, 30, 31, 32, 49, 50, 51],
+    410: [28, 29, 30, 31, 50, 51],
+    420: [27, 28, 29, 30, 50, 51, 52],
+    430: [26, 27, 28, 29, 51, 52],
+    440: [25, 26, 27, 51, 52, 53],
+    450: [24, 25, 26, 51, 52, 53],
+    460: [23, 24, 25, 52, 53],
+    470: [22, 23, 24, 52, 53],
+    480: [21, 22, 23, 52, 53, 54],
+    490: [22, 53, 54],
+    500: [53]
+  },
+  910: {
+    340: [39, 40, 41, 42, 43, 44, 45],
+    350: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    360: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    370: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    380: [33, 34, 35, 36, 37, 45, 46, 47, 48, 49],
+    390: [31, 32, 33, 34, 35, 46, 47, 48, 49, 50],
+    400: [30, 31, 32, 33, 47, 48, 49, 50],
+    410: [29, 30, 31, 32, 48, 49, 50, 51],
+    420: [28, 29, 30, 31, 49, 50, 51],
+    430: [27, 28, 29, 50, 51],
+    440: [26, 27, 28, 50, 51, 52],
+    450: [25, 26, 27, 50, 51, 52],
+    460: [24, 25, 26, 51, 52],
+    470: [23, 24, 25, 51, 52, 53],
+    480: [22, 23, 24, 52, 53],
+    490: [22, 23, 52, 53]
+  },
+  920: {
+    350: [39, 40, 41, 42, 43, 44, 45],
+    360: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    370: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    390: [32, 33, 34, 35, 36, 37, 44, 45, 46, 47, 48, 49],
+    400: [31, 32, 33, 34, 35, 46, 47, 48, 49],
+    410: [30, 31, 32, 33, 47, 48, 49, 50],
+    420: [29, 30, 31, 32, 48, 49, 50],
+    430: [27, 28, 29, 30, 48, 49, 50, 51],
+    440: [26, 27, 28, 29, 49, 50, 51],
+    450: [25, 26, 27, 28, 50, 51],
+    460: [24, 25, 26, 27, 50, 51, 52],
+    470: [23, 24, 25, 26, 50, 51, 52],
+    480: [23, 24, 25, 51, 52],
+    490: [23, 51]
+  },
+  930: {
+    360: [39, 40, 41, 42, 43],
+    370: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    380: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    390: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    400: [32, 33, 34, 35, 36, 37, 43, 44, 45, 46, 47, 48],
+    410: [30, 31, 32, 33, 34, 35, 45, 46, 47, 48, 49],
+    420: [29, 30, 31, 32, 33, 46, 47, 48, 49],
+    430: [28, 29, 30, 31, 47, 48, 49, 50],
+    440: [27, 28, 29, 30, 48, 49, 50],
+    450: [26, 27, 28, 29, 48, 49, 50],
+    460: [25, 26, 27, 28, 49, 50, 51],
+    470: [24, 25, 26, 49, 50, 51],
+    480: [23, 24, 25, 50, 51],
+    490: [23, 24, 50, 51]
+  },
+  940: {
+    370: [39, 40, 41, 42, 43],
+    380: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    390: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    400: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    410: [31, 32, 33, 34, 35, 36, 37, 42, 43, 44, 45, 46, 47],
+    420: [30, 31, 32, 33, 34, 35, 44, 45, 46, 47, 48],
+    430: [29, 30, 31, 32, 33, 45, 46, 47, 48],
+    440: [28, 29, 30, 31, 46, 47, 48, 49],
+    450: [27, 28, 29, 30, 47, 48, 49],
+    460: [26, 27, 28, 29, 48, 49, 50],
+    470: [25, 26, 27, 48, 49, 50],
+    480: [24, 25, 26, 49, 50],
+    490: [24, 25, 49, 50]
+  },
+  950: {
+    380: [39, 40, 41, 42],
+    390: [36, 37, 38, 39, 40, 41, 42, 43, 44],
+    400: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    420: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    430: [30, 31, 32, 33, 34, 43, 44, 45, 46, 47],
+    440: [29, 30, 31, 32, 33, 45, 46, 47, 48],
+    450: [28, 29, 30, 31, 46, 47, 48],
+    460: [26, 27, 28, 29, 30, 47, 48, 49],
+    470: [25, 26, 27, 28, 47, 48, 49],
+    480: [25, 26, 27, 48, 49, 50],
+    490: [25, 26, 48, 49]
+  },
+  960: {
+    390: [39, 41],
+    400: [36, 37, 38, 39, 40, 41, 42, 43],
+    410: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    420: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    440: [30, 31, 32, 33, 34, 35, 43, 44, 45, 46, 47],
+    450: [29, 30, 31, 32, 33, 44, 45, 46, 47],
+    460: [27, 28, 29, 30, 31, 45, 46, 47, 48],
+    470: [26, 27, 28, 29, 46, 47, 48],
+    480: [25, 26, 27, 28, 47, 48, 49],
+    490: [25, 26, 27, 47, 48, 49],
+    500: [48]
+  },
+  970: {
+    410: [36, 37, 38, 39, 40, 41, 42],
+    420: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    440: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    450: [30, 31, 32, 33, 34, 35, 41, 42, 43, 44, 45, 46],
+    460: [28, 29, 30, 31, 32, 43, 44, 45, 46, 47],
+    470: [27, 28, 29, 30, 31, 44, 45, 46, 47],
+    480: [26, 27, 28, 29, 45, 46, 47, 48],
+    490: [26, 27, 28, 46, 47, 48],
+    500: [27]
+  },
+  980: {
+    420: [36, 37, 38, 39, 40, 41, 42],
+    430: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    440: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    450: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    460: [29, 30, 31, 32, 33, 34, 35, 40, 41, 42, 43, 44, 45, 46],
+    470: [28, 29, 30, 31, 32, 33, 43, 44, 45, 46],
+    480: [27, 28, 29, 30, 31, 44, 45, 46, 47],
+    490: [27, 28, 29, 45, 46]
+  },
+  990: {
+    430: [36, 37, 38, 39, 40],
+    440: [34, 35, 36, 37, 38, 39, 40, 41, 42],
+    450: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    460: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    470: [29, 30, 31, 32, 33, 34, 35, 36, 38, 39, 40, 41, 42, 43, 44, 45],
+    480: [29, 30, 31, 32, 33, 41, 42, 43, 44, 45, 46],
+    490: [29, 30, 31, 43, 44, 45, 46],
+    500: [45]
+  },
+  1000: {
+    440: [37, 38, 39],
+    450: [34, 35, 36, 37, 38, 39, 40, 41],
+    460: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    470: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    480: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    490: [30, 31, 32, 33, 41, 42, 43, 44, 45]
+  },
+  1010: {
+    460: [34, 35, 36, 37, 38, 39, 40],
+    470: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    480: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    490: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43]
+  },
+  1020: {
+    470: [35, 36, 37, 38, 39],
+    480: [33, 34, 35, 36, 37, 38, 39, 40, 41],
+    490: [33, 34, 35, 36, 37, 38, 39, 41],
+    500: [35]
+  },
+  1030: {
+    480: [35, 37],
+    490: [35, 37]
+  }
+};
@@ -1,5 +1,6 @@
 // Firing Table Data for World 10
-// Generated on 2025-08-05T04:31:04.224Z
+// Cannonball size level 0 (radius 8.0px)
+// Generated on 2026-10-19T18:31:51.380Z
 export default {
   0: {
     0: [103, 104, 105],
@@ -52,7 +53,7 @@ export default {
     470: [173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
     480: [178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
     490: [183, 184, 185, 186, 187, 188],
-    500: [188],
+    500: [188]
   },
   10: {
     0: [102, 103, 104],
@@ -104,7 +105,7 @@ export default {
     460: [169, 170, 171, 172, 173, 174, 175],
     470: [175, 176, 177, 178, 179, 180],
     480: [180, 181, 182, 183, 184, 185],
-    490: [185, 186, 187, 188],
+    490: [185, 186, 187, 188]
   },
   20: {
     0: [101, 102],
@@ -157,7 +158,7 @@ export default {
     470: [172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
     480: [178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
     490: [183, 184, 185, 186, 187, 188, 189],
-    500: [189],
+    500: [189]
   },
   30: {
     0: [100, 101],
@@ -209,7 +210,7 @@ export default {
     460: [167, 168, 169, 170, 171, 172, 173, 174],
     470: [174, 175, 176, 177, 178, 179],
     480: [181, 182, 183, 184, 185, 186],
-    490: [186, 187, 188, 189],
+    490: [186, 187, 188, 189]
   },
   40: {
     0: [99, 100],
@@ -262,7 +263,7 @@ export default {
     470: [170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
     480: [177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190],
     490: [184, 185, 186, 187, 188, 189, 190, 191, 192],
-    500: [192],
+    500: [192]
   },
   50: {
     0: [98, 99],
@@ -314,7 +315,7 @@ export default {
     460: [164, 165, 166, 167, 168, 169, 170, 171, 172],
     470: [173, 174, 175, 176, 177, 178],
     480: [182, 183, 184, 185, 186],
-    490: [188, 189, 190, 191, 192],
+    490: [188, 189, 190, 191, 192]
   },
   60: {
     0: [97, 98],
@@ -362,24 +363,12 @@ export default {
     420: [131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
     430: [137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
     440: [148, 149, 150, 151, 152],
-    450: [
-      150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164,
-      165,
-    ],
-    460: [
-      157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171,
-      172, 173, 174, 175,
-    ],
-    470: [
-      166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180,
-      181, 182, 183, 184,
-    ],
-    480: [
-      176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190,
-      191, 192, 193, 194,
-    ],
+    450: [150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    460: [157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192, 193, 194],
     490: [185, 186, 187, 188, 189, 190, 191, 192, 193, 194, 195, 196],
-    500: [195, 196],
+    500: [195, 196]
   },
   70: {
     0: [95, 96, 97],
@@ -426,18 +415,12 @@ export default {
     410: [121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
     420: [126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
     430: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
-    440: [
-      136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150,
-      151, 152, 153, 154,
-    ],
-    450: [
-      145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159,
-      160, 161, 162,
-    ],
+    440: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    450: [145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
     460: [157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
     470: [172, 173, 174, 175, 176, 177],
     480: [183, 184, 185, 186, 187, 188],
-    490: [191, 192, 193, 194, 195, 196],
+    490: [191, 192, 193, 194, 195, 196]
   },
   80: {
     0: [94, 95],
@@ -483,13 +466,8 @@ export default {
     400: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
     410: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
     420: [121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
-    430: [
-      123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137,
-      138, 139, 140, 141,
-    ],
-    440: [
-      132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146,
-    ],
+    430: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    440: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146]
   },
   90: {
     0: [93, 94],
@@ -534,14 +512,8 @@ export default {
     390: [107, 108, 109, 110, 111, 112],
     400: [105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
     410: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
-    420: [
-      110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124,
-      125, 126, 127,
-    ],
-    430: [
-      116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130,
-      131,
-    ],
+    420: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    430: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131]
   },
   100: {
     0: [92, 93],
@@ -584,14 +556,9 @@ export default {
     370: [98, 99, 100, 101, 102, 103],
     380: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
     390: [100, 101, 102, 103, 104, 105, 106, 107],
-    400: [
-      98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112,
-    ],
+    400: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
     410: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
-    420: [
-      101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115,
-      116, 117, 118, 119,
-    ],
+    420: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119]
   },
   110: {
     0: [91, 92],
@@ -636,10 +603,7 @@ export default {
     390: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
     400: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
     410: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
-    420: [
-      92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107,
-      108, 109,
-    ],
+    420: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109]
   },
   120: {
     0: [89, 90, 91],
@@ -684,7 +648,7 @@ export default {
     390: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
     400: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
     410: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
-    420: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    420: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98]
   },
   130: {
     0: [88, 89],
@@ -729,9 +693,7 @@ export default {
     390: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
     400: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     410: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
-    420: [
-      71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88,
-    ],
+    420: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88]
   },
   140: {
     0: [87, 88],
@@ -776,10 +738,7 @@ export default {
     390: [73, 74, 75, 76, 77, 78, 79, 80],
     400: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
     410: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
-    420: [
-      61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78,
-      79,
-    ],
+    420: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79]
   },
   150: {
     0: [86, 87],
@@ -824,10 +783,8 @@ export default {
     390: [68, 69, 70, 71, 72, 73],
     400: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75],
     410: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
-    420: [
-      53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70,
-    ],
-    430: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    430: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64]
   },
   160: {
     0: [85, 86],
@@ -873,11 +830,8 @@ export default {
     400: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
     410: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
     420: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
-    430: [
-      39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56,
-      57,
-    ],
-    440: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    430: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    440: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48]
   },
   170: {
     0: [83, 84, 85],
@@ -924,17 +878,12 @@ export default {
     410: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
     420: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
     430: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    440: [
-      26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43,
-      44,
-    ],
-    450: [
-      18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35,
-    ],
+    440: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    450: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35],
     460: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
     470: [3, 4, 5, 6, 7, 8],
     480: [352, 353, 354, 355, 356, 357],
-    490: [344, 345, 346, 347, 348, 349],
+    490: [344, 345, 346, 347, 348, 349]
   },
   180: {
     0: [82, 83],
@@ -983,16 +932,11 @@ export default {
     430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
     440: [28, 29, 30, 31, 32],
     450: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30],
-    460: [
-      5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23,
-    ],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 356, 357, 358, 359],
-    480: [
-      0, 1, 2, 3, 4, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357,
-      358, 359,
-    ],
+    480: [0, 1, 2, 3, 4, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
     490: [344, 345, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355],
-    500: [344, 345],
+    500: [344, 345]
   },
   190: {
     0: [81, 82],
@@ -1044,7 +988,7 @@ export default {
     460: [8, 9, 10, 11, 12, 13, 14, 15, 16],
     470: [2, 3, 4, 5, 6, 7],
     480: [354, 355, 356, 357, 358],
-    490: [348, 349, 350, 351, 352],
+    490: [348, 349, 350, 351, 352]
   },
   200: {
     0: [80, 81],
@@ -1097,7 +1041,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 357, 358, 359],
     480: [0, 1, 2, 3, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
     490: [348, 349, 350, 351, 352, 353, 354, 355, 356],
-    500: [348],
+    500: [348]
   },
   210: {
     0: [79, 80],
@@ -1149,7 +1093,7 @@ export default {
     460: [6, 7, 8, 9, 10, 11, 12, 13],
     470: [1, 2, 3, 4, 5, 6],
     480: [354, 355, 356, 357, 358, 359],
-    490: [351, 352, 353, 354],
+    490: [351, 352, 353, 354]
   },
   220: {
     0: [78, 79],
@@ -1202,7 +1146,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 358, 359],
     480: [0, 1, 2, 352, 353, 354, 355, 356, 357, 358, 359],
     490: [351, 352, 353, 354, 355, 356, 357],
-    500: [351],
+    500: [351]
   },
   230: {
     0: [76, 77, 78],
@@ -1254,7 +1198,7 @@ export default {
     460: [5, 6, 7, 8, 9, 10, 11],
     470: [0, 1, 2, 3, 4, 5],
     480: [0, 355, 356, 357, 358, 359],
-    490: [352, 353, 354, 355],
+    490: [352, 353, 354, 355]
   },
   240: {
     0: [75, 76, 77],
@@ -1307,7 +1251,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 358, 359],
     480: [0, 1, 2, 353, 354, 355, 356, 357, 358, 359],
     490: [352, 353, 354, 355, 356, 357],
-    500: [352],
+    500: [352]
   },
   250: {
     0: [74, 75],
@@ -1359,7 +1303,7 @@ export default {
     460: [4, 5, 6, 7, 8, 9, 10],
     470: [0, 1, 2, 3, 4, 5],
     480: [0, 355, 356, 357, 358, 359],
-    490: [353, 354, 355, 356],
+    490: [353, 354, 355, 356]
   },
   260: {
     0: [73, 74],
@@ -1412,7 +1356,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 359],
     480: [0, 1, 355, 356, 357, 358, 359],
     490: [353, 354, 355, 356, 357],
-    500: [353],
+    500: [353]
   },
   270: {
     0: [72, 73],
@@ -1465,7 +1409,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 359],
     480: [0, 1, 356, 357, 358, 359],
     490: [354, 355, 356, 357],
-    500: [354],
+    500: [354]
   },
   280: {
     0: [71, 72],
@@ -1518,7 +1462,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 359],
     480: [0, 1, 356, 357, 358, 359],
     490: [354, 355, 356, 357],
-    500: [354],
+    500: [354]
   },
   290: {
     0: [70, 71],
@@ -1570,7 +1514,7 @@ export default {
     460: [3, 4, 5, 6, 7, 8],
     470: [0, 1, 2, 3, 4, 359],
     480: [0, 1, 356, 357, 358, 359],
-    490: [355, 356, 357, 358],
+    490: [355, 356, 357, 358]
   },
   300: {
     0: [69, 70],
@@ -1622,7 +1566,7 @@ export default {
     460: [3, 4, 5, 6, 7],
     470: [0, 1, 2, 3, 4],
     480: [0, 1, 356, 357, 358, 359],
-    490: [355, 356, 357],
+    490: [355, 356, 357]
   },
   310: {
     0: [68, 69],
@@ -1674,7 +1618,7 @@ export default {
     460: [2, 3, 4, 5, 6, 7],
     470: [0, 1, 2, 3, 4, 359],
     480: [0, 1, 356, 357, 358, 359],
-    490: [356, 357, 358],
+    490: [356, 357, 358]
   },
   320: {
     0: [67, 68],
@@ -1726,7 +1670,7 @@ export default {
     460: [3, 4, 5, 6],
     470: [0, 1, 2, 3],
     480: [0, 357, 358, 359],
-    490: [356, 357],
+    490: [356, 357]
   },
   330: {
     0: [66, 67],
@@ -1779,7 +1723,7 @@ export default {
     470: [0, 1, 2, 3, 4, 359],
     480: [0, 1, 357, 358, 359],
     490: [356, 357, 358],
-    500: [356],
+    500: [356]
   },
   340: {
     0: [65, 66],
@@ -1831,7 +1775,7 @@ export default {
     460: [3, 4, 5],
     470: [1, 2],
     480: [0, 358, 359],
-    490: [356, 357],
+    490: [356, 357]
   },
   350: {
     0: [64, 65],
@@ -1884,7 +1828,7 @@ export default {
     470: [0, 1, 2, 3, 359],
     480: [0, 1, 357, 358, 359],
     490: [356, 357, 358],
-    500: [356],
+    500: [356]
   },
   360: {
     0: [63, 64],
@@ -1936,7 +1880,7 @@ export default {
     460: [3, 4, 5],
     470: [0, 1, 2, 3],
     480: [0, 358, 359],
-    490: [357, 358],
+    490: [357, 358]
   },
   370: {
     0: [62, 63],
@@ -1988,7 +1932,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [0, 1, 2, 3],
     480: [0, 1, 357, 358, 359],
-    490: [357, 358],
+    490: [357, 358]
   },
   380: {
     0: [61, 62],
@@ -2040,7 +1984,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [0, 1, 2, 3],
     480: [0, 1, 358, 359],
-    490: [357, 358],
+    490: [357, 358]
   },
   390: {
     0: [60, 61],
@@ -2092,7 +2036,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [0, 1, 2, 3],
     480: [0, 1, 358, 359],
-    490: [357, 358],
+    490: [357, 358]
   },
   400: {
     0: [59, 60],
@@ -2145,7 +2089,7 @@ export default {
     470: [0, 1, 2, 3],
     480: [0, 1, 358, 359],
     490: [357, 358, 359],
-    500: [357],
+    500: [357]
   },
   410: {
     0: [59],
@@ -2197,7 +2141,7 @@ export default {
     460: [3, 4],
     470: [0, 1, 2],
     480: [0, 358, 359],
-    490: [357, 358],
+    490: [357, 358]
   },
   420: {
     0: [58, 59],
@@ -2249,7 +2193,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [0, 1, 2, 3],
     480: [0, 1, 358, 359],
-    490: [358, 359],
+    490: [358, 359]
   },
   430: {
     0: [57, 58],
@@ -2301,7 +2245,7 @@ export default {
     460: [2, 3, 4],
     470: [0, 1, 2],
     480: [0, 359],
-    490: [358],
+    490: [358]
   },
   440: {
     0: [56, 57],
@@ -2353,7 +2297,7 @@ export default {
     460: [2, 3, 4],
     470: [0, 1, 2],
     480: [0, 1, 358, 359],
-    490: [358, 359],
+    490: [358, 359]
   },
   450: {
     0: [55, 56],
@@ -2405,7 +2349,7 @@ export default {
     460: [2, 3, 4],
     470: [0, 1, 2],
     480: [0, 1, 358, 359],
-    490: [358, 359],
+    490: [358, 359]
   },
   460: {
     0: [55],
@@ -2457,7 +2401,7 @@ export default {
     460: [2, 3, 4],
     470: [0, 1, 2],
     480: [0, 359],
-    490: [358, 359],
+    490: [358, 359]
   },
   470: {
     0: [54, 55],
@@ -2509,7 +2453,7 @@ export default {
     460: [2, 3, 4],
     470: [0, 1, 2],
     480: [0, 1, 358, 359],
-    490: [358, 359],
+    490: [358, 359]
   },
   480: {
     0: [53, 54],
@@ -2561,7 +2505,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 359],
-    490: [358, 359],
+    490: [358, 359]
   },
   490: {
     0: [52, 53],
@@ -2614,7 +2558,7 @@ export default {
     470: [0, 1, 2],
     480: [0, 1, 359],
     490: [358, 359],
-    500: [358],
+    500: [358]
   },
   500: {
     0: [51, 52],
@@ -2667,7 +2611,7 @@ export default {
     470: [0, 1, 2],
     480: [0, 1, 359],
     490: [358, 359],
-    500: [358],
+    500: [358]
   },
   510: {
     0: [51],
@@ -2719,7 +2663,7 @@ export default {
     460: [2, 3],
     470: [0, 1, 2],
     480: [0, 359],
-    490: [358, 359],
+    490: [358, 359]
   },
   520: {
     0: [50, 51],
@@ -2771,7 +2715,7 @@ export default {
     460: [2, 3, 4],
     470: [0, 1, 2],
     480: [0, 1, 359],
-    490: [359],
+    490: [359]
   },
   530: {
     0: [50],
@@ -2823,7 +2767,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   540: {
     0: [49],
@@ -2875,7 +2819,7 @@ export default {
     460: [2, 3],
     470: [0, 1, 2],
     480: [0, 1, 359],
-    490: [359],
+    490: [359]
   },
   550: {
     0: [48, 49],
@@ -2927,7 +2871,7 @@ export default {
     460: [2, 3],
     470: [0, 1, 2],
     480: [0, 1, 359],
-    490: [359],
+    490: [359]
   },
   560: {
     0: [47, 48],
@@ -2979,7 +2923,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   570: {
     0: [47],
@@ -3031,7 +2975,7 @@ export default {
     460: [2, 3],
     470: [0, 1, 2],
     480: [0, 1, 359],
-    490: [359],
+    490: [359]
   },
   580: {
     0: [46, 47],
@@ -3083,7 +3027,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1, 359],
-    490: [359],
+    490: [359]
   },
   590: {
     0: [46],
@@ -3135,7 +3079,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   600: {
     0: [45, 46],
@@ -3187,7 +3131,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1, 359],
-    490: [0, 359],
+    490: [0, 359]
   },
   610: {
     0: [45],
@@ -3239,7 +3183,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [359],
+    490: [359]
   },
   620: {
     0: [44, 45],
@@ -3291,7 +3235,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [359],
+    490: [359]
   },
   630: {
     0: [43, 44],
@@ -3343,7 +3287,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1, 359],
-    490: [0, 359],
+    490: [0, 359]
   },
   640: {
     0: [43],
@@ -3395,7 +3339,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [359],
+    490: [359]
   },
   650: {
     0: [42, 43],
@@ -3447,7 +3391,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [0, 359],
+    490: [0, 359]
   },
   660: {
     0: [42],
@@ -3500,7 +3444,7 @@ export default {
     470: [1, 2],
     480: [0, 1],
     490: [0, 359],
-    500: [359],
+    500: [359]
   },
   670: {
     0: [41, 42],
@@ -3553,7 +3497,7 @@ export default {
     470: [1, 2],
     480: [0, 1],
     490: [0, 359],
-    500: [359],
+    500: [359]
   },
   680: {
     0: [41],
@@ -3606,7 +3550,7 @@ export default {
     470: [1, 2],
     480: [0, 1],
     490: [0, 359],
-    500: [359],
+    500: [359]
   },
   690: {
     0: [40, 41],
@@ -3658,7 +3602,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   700: {
     0: [40],
@@ -3710,7 +3654,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   710: {
     0: [40],
@@ -3762,7 +3706,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   720: {
     0: [39],
@@ -3814,7 +3758,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   730: {
     0: [39],
@@ -3866,7 +3810,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   740: {
     0: [38],
@@ -3918,7 +3862,7 @@ export default {
     460: [2],
     470: [1],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   750: {
     0: [38],
@@ -3970,7 +3914,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   760: {
     0: [37, 38],
@@ -4022,7 +3966,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   770: {
     0: [37],
@@ -4074,7 +4018,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   780: {
     0: [37],
@@ -4126,7 +4070,7 @@ export default {
     460: [2],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   790: {
     0: [36, 37],
@@ -4178,7 +4122,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   800: {
     0: [36],
@@ -4230,7 +4174,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   810: {
     0: [35, 36],
@@ -4282,7 +4226,7 @@ export default {
     460: [2],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   820: {
     0: [35],
@@ -4334,7 +4278,7 @@ export default {
     460: [2],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   830: {
     0: [35],
@@ -4386,7 +4330,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   840: {
     0: [34, 35],
@@ -4438,7 +4382,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   850: {
     0: [34],
@@ -4490,7 +4434,7 @@ export default {
     460: [2],
     470: [1, 2],
     480: [1],
-    490: [0],
+    490: [0]
   },
   860: {
     0: [34],
@@ -4542,7 +4486,7 @@ export default {
     460: [2],
     470: [1, 2],
     480: [1],
-    490: [0],
+    490: [0]
   },
   870: {
     0: [33, 34],
@@ -4594,7 +4538,7 @@ export default {
     460: [2],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   880: {
     0: [33],
@@ -4646,7 +4590,7 @@ export default {
     460: [2, 3],
     470: [1, 2],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   890: {
     0: [33],
@@ -4699,7 +4643,7 @@ export default {
     470: [1, 2],
     480: [1],
     490: [0],
-    500: [0],
+    500: [0]
   },
   900: {
     0: [33],
@@ -4751,7 +4695,7 @@ export default {
     460: [2],
     470: [1, 2],
     480: [1],
-    490: [0],
+    490: [0]
   },
   910: {
     0: [32],
@@ -4804,7 +4748,7 @@ export default {
     470: [1, 2],
     480: [1],
     490: [0],
-    500: [0],
+    500: [0]
   },
   920: {
     0: [32],
@@ -4857,7 +4801,7 @@ export default {
     470: [1, 2],
     480: [1],
     490: [0],
-    500: [0],
+    500: [0]
   },
   930: {
     0: [32],
@@ -4908,7 +4852,7 @@ export default {
     450: [3],
     460: [2, 3],
     470: [1, 2],
-    480: [1],
+    480: [1]
   },
   940: {
     0: [31, 32],
@@ -4959,7 +4903,7 @@ export default {
     450: [3],
     460: [2, 3],
     470: [1, 2],
-    480: [1],
+    480: [1]
   },
   950: {
     0: [31],
@@ -5010,7 +4954,7 @@ export default {
     450: [3],
     460: [2],
     470: [2],
-    480: [1],
+    480: [1]
   },
   960: {
     0: [31],
@@ -5061,7 +5005,7 @@ export default {
     450: [3],
     460: [2],
     470: [2],
-    480: [1],
+    480: [1]
   },
   970: {
     0: [31],
@@ -5112,7 +5056,7 @@ export default {
     450: [3],
     460: [2],
     470: [2],
-    480: [1],
+    480: [1]
   },
   980: {
     0: [30],
@@ -5163,7 +5107,7 @@ export default {
     450: [3],
     460: [2],
     470: [2],
-    480: [1],
+    480: [1]
   },
   990: {
     0: [30],
@@ -5215,7 +5159,7 @@ export default {
     460: [2, 3],
     470: [2],
     480: [1],
-    490: [1],
+    490: [1]
   },
   1000: {
     0: [30],
@@ -5267,7 +5211,7 @@ export default {
     460: [2, 3],
     470: [2],
     480: [1],
-    490: [1],
+    490: [1]
   },
   1010: {
     0: [30],
@@ -5319,7 +5263,7 @@ export default {
     460: [2, 3],
     470: [2],
     480: [1],
-    490: [1],
+    490: [1]
   },
   1020: {
     0: [29],
@@ -5371,7 +5315,7 @@ export default {
     460: [2, 3],
     470: [2],
     480: [1],
-    490: [1],
+    490: [1]
   },
   1030: {
     0: [29],
@@ -5423,7 +5367,7 @@ export default {
     460: [2, 3],
     470: [2],
     480: [1],
-    490: [1],
+    490: [1]
   },
   1040: {
     0: [29],
@@ -5475,7 +5419,7 @@ export default {
     460: [2],
     470: [2],
     480: [1],
-    490: [1],
+    490: [1]
   },
   1050: {
     0: [29],
@@ -5527,7 +5471,7 @@ export default {
     460: [2],
     470: [2],
     480: [1],
-    490: [1],
+    490: [1]
   },
   1060: {
     0: [28, 29],
@@ -5579,7 +5523,7 @@ export default {
     460: [2, 3],
     470: [2],
     480: [1],
-    490: [1],
+    490: [1]
   },
   1070: {
     0: [28],
@@ -5631,7 +5575,7 @@ export default {
     460: [2, 3],
     470: [2],
     480: [1],
-    490: [1],
+    490: [1]
   },
   1080: {
     0: [28],
@@ -5683,7 +5627,7 @@ export default {
     460: [2, 3],
     470: [2],
     480: [1],
-    490: [1],
+    490: [1]
   },
   1090: {
     0: [28],
@@ -5735,7 +5679,7 @@ export default {
     460: [2, 3],
     470: [2],
     480: [1],
-    490: [1],
+    490: [1]
   },
   1100: {
     0: [28],
@@ -5787,7 +5731,7 @@ export default {
     460: [2, 3],
     470: [2],
     480: [1],
-    490: [1],
+    490: [1]
   },
   1110: {
     0: [27, 28],
@@ -5839,7 +5783,7 @@ export default {
     460: [2, 3],
     470: [2],
     480: [1],
-    490: [1],
+    490: [1]
   },
   1120: {
     0: [27],
@@ -5891,7 +5835,7 @@ export default {
     460: [3],
     470: [2],
     480: [1, 2],
-    490: [1],
+    490: [1]
   },
   1130: {
     0: [27],
@@ -5943,7 +5887,7 @@ export default {
     460: [3],
     470: [2],
     480: [1, 2],
-    490: [1],
+    490: [1]
   },
   1140: {
     0: [27],
@@ -5994,7 +5938,7 @@ export default {
     460: [3],
     470: [2],
     480: [1, 2],
-    490: [1],
+    490: [1]
   },
   1150: {
     0: [27],
@@ -6046,7 +5990,7 @@ export default {
     460: [3],
     470: [2],
     480: [1, 2],
-    490: [1],
+    490: [1]
   },
   1160: {
     0: [27],
@@ -6099,7 +6043,7 @@ export default {
     470: [2],
     480: [2],
     490: [1],
-    500: [1],
+    500: [1]
   },
   1170: {
     0: [26],
@@ -6152,7 +6096,7 @@ export default {
     470: [2],
     480: [2],
     490: [1],
-    500: [1],
+    500: [1]
   },
   1180: {
     0: [26],
@@ -6204,7 +6148,7 @@ export default {
     470: [2],
     480: [2],
     490: [1],
-    500: [1],
+    500: [1]
   },
   1190: {
     0: [26],
@@ -6255,6 +6199,6 @@ export default {
     450: [3],
     460: [3],
     470: [2],
-    480: [2],
-  },
+    480: [2]
+  }
 };
@@ -0,0 +1,6219 @@
+// Firing Table Data for World 10
+// Cannonball size level 10 (radius 16.0px)
+// Generated on 2026-10-19T18:31:51.647Z
+export default {
+  0: {
+    0: [102, 103, 104, 105, 106],
+    10: [103, 104, 105, 106],
+    20: [103, 104, 105, 106],
+    30: [103, 104, 105, 106, 107],
+    40: [104, 105, 106, 107],
+    50: [104, 105, 106, 107],
+    60: [104, 105, 106, 107, 108],
+    70: [105, 106, 107, 108],
+    80: [105, 106, 107, 108, 109],
+    90: [105, 106, 107, 108, 109],
+    100: [106, 107, 108, 109, 110],
+    110: [106, 107, 108, 109, 110],
+    120: [107, 108, 109, 110, 111],
+    130: [107, 108, 109, 110, 111],
+    140: [107, 108, 109, 110, 111, 112],
+    150: [108, 109, 110, 111, 112, 113],
+    160: [108, 109, 110, 111, 112, 113],
+    170: [109, 110, 111, 112, 113, 114],
+    180: [109, 110, 111, 112, 113, 114, 115],
+    190: [110, 111, 112, 113, 114, 115],
+    200: [111, 112, 113, 114, 115, 116],
+    210: [112, 113, 114, 115, 116, 117],
+    220: [112, 113, 114, 115, 116, 117, 118],
+    230: [113, 114, 115, 116, 117, 118, 119],
+    240: [114, 115, 116, 117, 118, 119, 120],
+    250: [115, 116, 117, 118, 119, 120, 121],
+    260: [115, 116, 117, 118, 119, 120, 121, 122, 123],
+    270: [117, 118, 119, 120, 121, 122, 123, 124],
+    280: [117, 118, 119, 120, 121, 122, 123, 124, 125],
+    290: [119, 120, 121, 122, 123, 124, 125, 126],
+    300: [120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    310: [122, 123, 124, 125, 126, 127, 128, 129, 130],
+    320: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    330: [125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    340: [127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    350: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    360: [131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    370: [133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    380: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    390: [139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    400: [141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    410: [144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    420: [148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    430: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    440: [156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    450: [160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    460: [165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    470: [169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    490: [179, 180, 181, 182, 183, 184],
+    500: [184]
+  },
+  10: {
+    0: [101, 102, 103, 104],
+    10: [102, 103, 104, 105],
+    20: [102, 103, 104, 105],
+    30: [102, 103, 104, 105],
+    40: [102, 103, 104, 105, 106],
+    50: [103, 104, 105, 106],
+    60: [103, 104, 105, 106, 107],
+    70: [103, 104, 105, 106, 107],
+    80: [103, 104, 105, 106, 107],
+    90: [104, 105, 106, 107, 108],
+    100: [104, 105, 106, 107, 108],
+    110: [104, 105, 106, 107, 108, 109],
+    120: [105, 106, 107, 108, 109],
+    130: [105, 106, 107, 108, 109, 110],
+    140: [106, 107, 108, 109, 110],
+    150: [106, 107, 108, 109, 110, 111],
+    160: [107, 108, 109, 110, 111, 112],
+    170: [107, 108, 109, 110, 111, 112],
+    180: [108, 109, 110, 111, 112, 113],
+    190: [108, 109, 110, 111, 112, 113, 114],
+    200: [109, 110, 111, 112, 113, 114, 115],
+    210: [110, 111, 112, 113, 114, 115],
+    220: [110, 111, 112, 113, 114, 115, 116],
+    230: [111, 112, 113, 114, 115, 116, 117],
+    240: [112, 113, 114, 115, 116, 117, 118],
+    250: [112, 113, 114, 115, 116, 117, 118, 119],
+    260: [113, 114, 115, 116, 117, 118, 119, 120, 121],
+    270: [114, 115, 116, 117, 118, 119, 120, 121, 122],
+    280: [115, 116, 117, 118, 119, 120, 121, 122, 123],
+    290: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    300: [118, 119, 120, 121, 122, 123, 124, 125, 126],
+    310: [119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    320: [120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    330: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    340: [124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    350: [126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    360: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    370: [130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    380: [133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    390: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    400: [139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    410: [143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    420: [146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    430: [149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    440: [154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    450: [159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    460: [164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    480: [175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    490: [180, 181, 182, 183, 184, 185]
+  },
+  20: {
+    0: [100, 101, 102, 103],
+    10: [100, 101, 102, 103, 104],
+    20: [101, 102, 103, 104],
+    30: [101, 102, 103, 104],
+    40: [101, 102, 103, 104, 105],
+    50: [101, 102, 103, 104, 105],
+    60: [102, 103, 104, 105],
+    70: [102, 103, 104, 105, 106],
+    80: [102, 103, 104, 105, 106],
+    90: [102, 103, 104, 105, 106, 107],
+    100: [103, 104, 105, 106, 107],
+    110: [103, 104, 105, 106, 107],
+    120: [103, 104, 105, 106, 107, 108],
+    130: [104, 105, 106, 107, 108],
+    140: [104, 105, 106, 107, 108, 109],
+    150: [105, 106, 107, 108, 109],
+    160: [105, 106, 107, 108, 109, 110],
+    170: [105, 106, 107, 108, 109, 110, 111],
+    180: [106, 107, 108, 109, 110, 111],
+    190: [106, 107, 108, 109, 110, 111, 112],
+    200: [107, 108, 109, 110, 111, 112, 113],
+    210: [107, 108, 109, 110, 111, 112, 113, 114],
+    220: [108, 109, 110, 111, 112, 113, 114],
+    230: [109, 110, 111, 112, 113, 114, 115],
+    240: [110, 111, 112, 113, 114, 115, 116],
+    250: [110, 111, 112, 113, 114, 115, 116, 117, 118],
+    260: [111, 112, 113, 114, 115, 116, 117, 118],
+    270: [112, 113, 114, 115, 116, 117, 118, 119, 120],
+    280: [113, 114, 115, 116, 117, 118, 119, 120, 121],
+    290: [114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    300: [116, 117, 118, 119, 120, 121, 122, 123, 124],
+    310: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    320: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    330: [119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    340: [121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    350: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    360: [125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    370: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    380: [129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    390: [133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    400: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    410: [139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    420: [143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    430: [148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    440: [152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    450: [156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    460: [162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    470: [167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    480: [173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    490: [179, 180, 181, 182, 183, 184, 185],
+    500: [185]
+  },
+  30: {
+    0: [99, 100, 101, 102],
+    10: [99, 100, 101, 102],
+    20: [99, 100, 101, 102, 103],
+    30: [100, 101, 102, 103],
+    40: [100, 101, 102, 103],
+    50: [100, 101, 102, 103, 104],
+    60: [100, 101, 102, 103, 104],
+    70: [100, 101, 102, 103, 104],
+    80: [101, 102, 103, 104, 105],
+    90: [101, 102, 103, 104, 105],
+    100: [101, 102, 103, 104, 105],
+    110: [102, 103, 104, 105, 106],
+    120: [102, 103, 104, 105, 106],
+    130: [102, 103, 104, 105, 106, 107],
+    140: [103, 104, 105, 106, 107],
+    150: [103, 104, 105, 106, 107, 108],
+    160: [103, 104, 105, 106, 107, 108],
+    170: [104, 105, 106, 107, 108, 109],
+    180: [104, 105, 106, 107, 108, 109],
+    190: [104, 105, 106, 107, 108, 109, 110],
+    200: [105, 106, 107, 108, 109, 110, 111],
+    210: [106, 107, 108, 109, 110, 111, 112],
+    220: [106, 107, 108, 109, 110, 111, 112],
+    230: [107, 108, 109, 110, 111, 112, 113],
+    240: [107, 108, 109, 110, 111, 112, 113, 114],
+    250: [108, 109, 110, 111, 112, 113, 114, 115],
+    260: [109, 110, 111, 112, 113, 114, 115, 116],
+    270: [110, 111, 112, 113, 114, 115, 116, 117, 118],
+    280: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    290: [112, 113, 114, 115, 116, 117, 118, 119, 120],
+    300: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    310: [114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    320: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    330: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    340: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    350: [120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    360: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    370: [124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    380: [127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    390: [129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    400: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    410: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    420: [140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    430: [144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    440: [149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    450: [155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    480: [174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [180, 181, 182, 183, 184, 185, 186]
+  },
+  40: {
+    0: [98, 99, 100, 101],
+    10: [98, 99, 100, 101],
+    20: [98, 99, 100, 101, 102],
+    30: [99, 100, 101, 102],
+    40: [99, 100, 101, 102],
+    50: [99, 100, 101, 102],
+    60: [99, 100, 101, 102, 103],
+    70: [99, 100, 101, 102, 103],
+    80: [99, 100, 101, 102, 103],
+    90: [100, 101, 102, 103, 104],
+    100: [100, 101, 102, 103, 104],
+    110: [100, 101, 102, 103, 104],
+    120: [100, 101, 102, 103, 104, 105],
+    130: [101, 102, 103, 104, 105],
+    140: [101, 102, 103, 104, 105, 106],
+    150: [101, 102, 103, 104, 105, 106],
+    160: [102, 103, 104, 105, 106, 107],
+    170: [102, 103, 104, 105, 106, 107],
+    180: [102, 103, 104, 105, 106, 107, 108],
+    190: [103, 104, 105, 106, 107, 108, 109],
+    200: [103, 104, 105, 106, 107, 108, 109],
+    210: [104, 105, 106, 107, 108, 109, 110],
+    220: [104, 105, 106, 107, 108, 109, 110, 111],
+    230: [105, 106, 107, 108, 109, 110, 111],
+    240: [105, 106, 107, 108, 109, 110, 111, 112],
+    250: [106, 107, 108, 109, 110, 111, 112, 113],
+    260: [106, 107, 108, 109, 110, 111, 112, 113, 114],
+    270: [108, 109, 110, 111, 112, 113, 114, 115],
+    280: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    290: [109, 110, 111, 112, 113, 114, 115, 116, 117],
+    300: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    310: [111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    320: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    330: [114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    340: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    350: [117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    360: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    370: [120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    380: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    390: [125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    400: [129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    410: [131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    420: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    430: [141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    440: [146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167],
+    450: [151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    470: [164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    480: [171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [178, 179, 180, 181, 182, 183, 184, 185, 186],
+    500: [186]
+  },
+  50: {
+    0: [97, 98, 99, 100],
+    10: [97, 98, 99, 100],
+    20: [97, 98, 99, 100],
+    30: [97, 98, 99, 100, 101],
+    40: [97, 98, 99, 100, 101],
+    50: [97, 98, 99, 100, 101],
+    60: [98, 99, 100, 101],
+    70: [98, 99, 100, 101, 102],
+    80: [98, 99, 100, 101, 102],
+    90: [98, 99, 100, 101, 102],
+    100: [98, 99, 100, 101, 102, 103],
+    110: [99, 100, 101, 102, 103],
+    120: [99, 100, 101, 102, 103],
+    130: [99, 100, 101, 102, 103, 104],
+    140: [99, 100, 101, 102, 103, 104],
+    150: [99, 100, 101, 102, 103, 104, 105],
+    160: [100, 101, 102, 103, 104, 105],
+    170: [100, 101, 102, 103, 104, 105, 106],
+    180: [100, 101, 102, 103, 104, 105, 106],
+    190: [101, 102, 103, 104, 105, 106, 107],
+    200: [101, 102, 103, 104, 105, 106, 107],
+    210: [102, 103, 104, 105, 106, 107, 108],
+    220: [102, 103, 104, 105, 106, 107, 108, 109],
+    230: [103, 104, 105, 106, 107, 108, 109],
+    240: [103, 104, 105, 106, 107, 108, 109, 110],
+    250: [104, 105, 106, 107, 108, 109, 110, 111],
+    260: [104, 105, 106, 107, 108, 109, 110, 111, 112],
+    270: [105, 106, 107, 108, 109, 110, 111, 112, 113],
+    280: [105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    290: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    300: [107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    310: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    320: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    330: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    340: [111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    350: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    360: [114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    370: [117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    380: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    390: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    400: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    410: [127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    420: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    430: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    440: [141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [180, 181, 182, 183, 184, 185, 186, 187, 188]
+  },
+  60: {
+    0: [96, 97, 98, 99],
+    10: [96, 97, 98, 99],
+    20: [96, 97, 98, 99],
+    30: [96, 97, 98, 99],
+    40: [96, 97, 98, 99],
+    50: [96, 97, 98, 99, 100],
+    60: [96, 97, 98, 99, 100],
+    70: [96, 97, 98, 99, 100],
+    80: [97, 98, 99, 100, 101],
+    90: [97, 98, 99, 100, 101],
+    100: [97, 98, 99, 100, 101],
+    110: [97, 98, 99, 100, 101],
+    120: [97, 98, 99, 100, 101, 102],
+    130: [97, 98, 99, 100, 101, 102],
+    140: [98, 99, 100, 101, 102],
+    150: [98, 99, 100, 101, 102, 103],
+    160: [98, 99, 100, 101, 102, 103],
+    170: [98, 99, 100, 101, 102, 103, 104],
+    180: [99, 100, 101, 102, 103, 104],
+    190: [99, 100, 101, 102, 103, 104, 105],
+    200: [99, 100, 101, 102, 103, 104, 105],
+    210: [100, 101, 102, 103, 104, 105, 106],
+    220: [100, 101, 102, 103, 104, 105, 106, 107],
+    230: [100, 101, 102, 103, 104, 105, 106, 107],
+    240: [101, 102, 103, 104, 105, 106, 107, 108],
+    250: [101, 102, 103, 104, 105, 106, 107, 108, 109],
+    260: [102, 103, 104, 105, 106, 107, 108, 109],
+    270: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    280: [103, 104, 105, 106, 107, 108, 109, 110, 111],
+    290: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    300: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    310: [105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    320: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    330: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    340: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    350: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    360: [111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    370: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    380: [114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    390: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    400: [119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    410: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    420: [125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    430: [131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    440: [137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    470: [158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    500: [187, 188]
+  },
+  70: {
+    0: [94, 95, 96, 97, 98],
+    10: [95, 96, 97, 98],
+    20: [94, 95, 96, 97, 98],
+    30: [95, 96, 97, 98],
+    40: [95, 96, 97, 98],
+    50: [95, 96, 97, 98, 99],
+    60: [95, 96, 97, 98, 99],
+    70: [95, 96, 97, 98, 99],
+    80: [95, 96, 97, 98, 99],
+    90: [95, 96, 97, 98, 99],
+    100: [95, 96, 97, 98, 99, 100],
+    110: [96, 97, 98, 99, 100],
+    120: [96, 97, 98, 99, 100],
+    130: [96, 97, 98, 99, 100, 101],
+    140: [96, 97, 98, 99, 100, 101],
+    150: [96, 97, 98, 99, 100, 101],
+    160: [96, 97, 98, 99, 100, 101, 102],
+    170: [97, 98, 99, 100, 101, 102],
+    180: [97, 98, 99, 100, 101, 102],
+    190: [97, 98, 99, 100, 101, 102, 103],
+    200: [97, 98, 99, 100, 101, 102, 103],
+    210: [97, 98, 99, 100, 101, 102, 103, 104],
+    220: [98, 99, 100, 101, 102, 103, 104],
+    230: [98, 99, 100, 101, 102, 103, 104, 105],
+    240: [98, 99, 100, 101, 102, 103, 104, 105],
+    250: [99, 100, 101, 102, 103, 104, 105, 106],
+    260: [99, 100, 101, 102, 103, 104, 105, 106, 107],
+    270: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    280: [100, 101, 102, 103, 104, 105, 106, 107, 108],
+    290: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    300: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    310: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    320: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    330: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    340: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    350: [105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    360: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    370: [107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    380: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    390: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    400: [114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    410: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    420: [120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    430: [124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    440: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    450: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [180, 181, 182, 183, 184, 185, 186, 187, 188]
+  },
+  80: {
+    0: [93, 94, 95, 96],
+    10: [93, 94, 95, 96],
+    20: [93, 94, 95, 96, 97],
+    30: [93, 94, 95, 96, 97],
+    40: [94, 95, 96, 97],
+    50: [93, 94, 95, 96, 97],
+    60: [94, 95, 96, 97],
+    70: [94, 95, 96, 97],
+    80: [94, 95, 96, 97, 98],
+    90: [94, 95, 96, 97, 98],
+    100: [94, 95, 96, 97, 98],
+    110: [94, 95, 96, 97, 98],
+    120: [94, 95, 96, 97, 98],
+    130: [94, 95, 96, 97, 98, 99],
+    140: [94, 95, 96, 97, 98, 99],
+    150: [94, 95, 96, 97, 98, 99],
+    160: [94, 95, 96, 97, 98, 99, 100],
+    170: [95, 96, 97, 98, 99, 100],
+    180: [95, 96, 97, 98, 99, 100, 101],
+    190: [95, 96, 97, 98, 99, 100, 101],
+    200: [95, 96, 97, 98, 99, 100, 101],
+    210: [95, 96, 97, 98, 99, 100, 101, 102],
+    220: [96, 97, 98, 99, 100, 101, 102],
+    230: [96, 97, 98, 99, 100, 101, 102, 103],
+    240: [96, 97, 98, 99, 100, 101, 102, 103],
+    250: [96, 97, 98, 99, 100, 101, 102, 103, 104],
+    260: [97, 98, 99, 100, 101, 102, 103, 104],
+    270: [97, 98, 99, 100, 101, 102, 103, 104, 105],
+    280: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    290: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    300: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    310: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    320: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    330: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    340: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    350: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    360: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    370: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    380: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    390: [105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    400: [107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    410: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    420: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    430: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    440: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    450: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    460: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165]
+  },
+  90: {
+    0: [92, 93, 94, 95],
+    10: [92, 93, 94, 95],
+    20: [92, 93, 94, 95],
+    30: [92, 93, 94, 95, 96],
+    40: [92, 93, 94, 95, 96],
+    50: [92, 93, 94, 95, 96],
+    60: [92, 93, 94, 95, 96],
+    70: [92, 93, 94, 95, 96],
+    80: [92, 93, 94, 95, 96],
+    90: [92, 93, 94, 95, 96],
+    100: [92, 93, 94, 95, 96, 97],
+    110: [92, 93, 94, 95, 96, 97],
+    120: [93, 94, 95, 96, 97],
+    130: [93, 94, 95, 96, 97],
+    140: [93, 94, 95, 96, 97, 98],
+    150: [93, 94, 95, 96, 97, 98],
+    160: [93, 94, 95, 96, 97, 98],
+    170: [93, 94, 95, 96, 97, 98],
+    180: [93, 94, 95, 96, 97, 98, 99],
+    190: [93, 94, 95, 96, 97, 98, 99],
+    200: [93, 94, 95, 96, 97, 98, 99],
+    210: [93, 94, 95, 96, 97, 98, 99, 100],
+    220: [94, 95, 96, 97, 98, 99, 100],
+    230: [93, 94, 95, 96, 97, 98, 99, 100, 101],
+    240: [94, 95, 96, 97, 98, 99, 100, 101],
+    250: [94, 95, 96, 97, 98, 99, 100, 101, 102],
+    260: [94, 95, 96, 97, 98, 99, 100, 101, 102],
+    270: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    280: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    290: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    300: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    310: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    320: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    330: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    340: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    350: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    360: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    370: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    380: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    390: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    400: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    410: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    420: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    430: [107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    440: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143]
+  },
+  100: {
+    0: [91, 92, 93, 94],
+    10: [91, 92, 93, 94],
+    20: [91, 92, 93, 94],
+    30: [91, 92, 93, 94],
+    40: [91, 92, 93, 94],
+    50: [91, 92, 93, 94, 95],
+    60: [91, 92, 93, 94, 95],
+    70: [91, 92, 93, 94, 95],
+    80: [91, 92, 93, 94, 95],
+    90: [91, 92, 93, 94, 95],
+    100: [91, 92, 93, 94, 95],
+    110: [91, 92, 93, 94, 95],
+    120: [91, 92, 93, 94, 95],
+    130: [91, 92, 93, 94, 95, 96],
+    140: [91, 92, 93, 94, 95, 96],
+    150: [91, 92, 93, 94, 95, 96],
+    160: [91, 92, 93, 94, 95, 96],
+    170: [91, 92, 93, 94, 95, 96],
+    180: [91, 92, 93, 94, 95, 96, 97],
+    190: [91, 92, 93, 94, 95, 96, 97],
+    200: [91, 92, 93, 94, 95, 96, 97],
+    210: [91, 92, 93, 94, 95, 96, 97, 98],
+    220: [91, 92, 93, 94, 95, 96, 97, 98],
+    230: [91, 92, 93, 94, 95, 96, 97, 98],
+    240: [91, 92, 93, 94, 95, 96, 97, 98],
+    250: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    260: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    270: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    280: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    290: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    300: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    310: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    320: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    330: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    340: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    350: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    360: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    370: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    380: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    390: [93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    400: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    410: [93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    420: [93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    430: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129]
+  },
+  110: {
+    0: [90, 91, 92, 93],
+    10: [90, 91, 92, 93],
+    20: [90, 91, 92, 93],
+    30: [89, 90, 91, 92, 93],
+    40: [90, 91, 92, 93],
+    50: [89, 90, 91, 92, 93],
+    60: [89, 90, 91, 92, 93],
+    70: [90, 91, 92, 93],
+    80: [89, 90, 91, 92, 93, 94],
+    90: [89, 90, 91, 92, 93, 94],
+    100: [89, 90, 91, 92, 93, 94],
+    110: [89, 90, 91, 92, 93, 94],
+    120: [89, 90, 91, 92, 93, 94],
+    130: [89, 90, 91, 92, 93, 94],
+    140: [89, 90, 91, 92, 93, 94],
+    150: [89, 90, 91, 92, 93, 94],
+    160: [89, 90, 91, 92, 93, 94, 95],
+    170: [89, 90, 91, 92, 93, 94, 95],
+    180: [89, 90, 91, 92, 93, 94, 95],
+    190: [89, 90, 91, 92, 93, 94, 95],
+    200: [89, 90, 91, 92, 93, 94, 95],
+    210: [89, 90, 91, 92, 93, 94, 95, 96],
+    220: [89, 90, 91, 92, 93, 94, 95],
+    230: [89, 90, 91, 92, 93, 94, 95, 96],
+    240: [89, 90, 91, 92, 93, 94, 95, 96],
+    250: [89, 90, 91, 92, 93, 94, 95, 96],
+    260: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    270: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    280: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    290: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    300: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    310: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    320: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    330: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    340: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    350: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    360: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    370: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    380: [86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    390: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    400: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    410: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    420: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    430: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115]
+  },
+  120: {
+    0: [88, 89, 90, 91, 92],
+    10: [88, 89, 90, 91, 92],
+    20: [88, 89, 90, 91, 92],
+    30: [88, 89, 90, 91, 92],
+    40: [88, 89, 90, 91, 92],
+    50: [88, 89, 90, 91, 92],
+    60: [88, 89, 90, 91, 92],
+    70: [88, 89, 90, 91, 92],
+    80: [88, 89, 90, 91, 92],
+    90: [88, 89, 90, 91, 92],
+    100: [88, 89, 90, 91, 92],
+    110: [88, 89, 90, 91, 92],
+    120: [88, 89, 90, 91, 92],
+    130: [88, 89, 90, 91, 92],
+    140: [87, 88, 89, 90, 91, 92, 93],
+    150: [88, 89, 90, 91, 92],
+    160: [87, 88, 89, 90, 91, 92, 93],
+    170: [87, 88, 89, 90, 91, 92, 93],
+    180: [87, 88, 89, 90, 91, 92, 93],
+    190: [87, 88, 89, 90, 91, 92, 93],
+    200: [87, 88, 89, 90, 91, 92, 93],
+    210: [87, 88, 89, 90, 91, 92, 93],
+    220: [87, 88, 89, 90, 91, 92, 93],
+    230: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    240: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    250: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    260: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    270: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    280: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    290: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    300: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    310: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    320: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    330: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    340: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    350: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    360: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    370: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    380: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    390: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    400: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    410: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    420: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    430: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101]
+  },
+  130: {
+    0: [87, 88, 89, 90],
+    10: [87, 88, 89, 90],
+    20: [87, 88, 89, 90],
+    30: [87, 88, 89, 90, 91],
+    40: [87, 88, 89, 90],
+    50: [87, 88, 89, 90, 91],
+    60: [87, 88, 89, 90, 91],
+    70: [87, 88, 89, 90],
+    80: [86, 87, 88, 89, 90, 91],
+    90: [86, 87, 88, 89, 90, 91],
+    100: [86, 87, 88, 89, 90, 91],
+    110: [86, 87, 88, 89, 90, 91],
+    120: [86, 87, 88, 89, 90, 91],
+    130: [86, 87, 88, 89, 90, 91],
+    140: [86, 87, 88, 89, 90, 91],
+    150: [86, 87, 88, 89, 90, 91],
+    160: [85, 86, 87, 88, 89, 90, 91],
+    170: [85, 86, 87, 88, 89, 90, 91],
+    180: [85, 86, 87, 88, 89, 90, 91],
+    190: [85, 86, 87, 88, 89, 90, 91],
+    200: [85, 86, 87, 88, 89, 90, 91],
+    210: [84, 85, 86, 87, 88, 89, 90, 91],
+    220: [85, 86, 87, 88, 89, 90, 91],
+    230: [84, 85, 86, 87, 88, 89, 90, 91],
+    240: [84, 85, 86, 87, 88, 89, 90, 91],
+    250: [84, 85, 86, 87, 88, 89, 90, 91],
+    260: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    270: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    280: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    290: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    300: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    310: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    320: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    330: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    340: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    350: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    360: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    370: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    380: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94],
+    390: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    400: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    410: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    420: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    430: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90]
+  },
+  140: {
+    0: [86, 87, 88, 89],
+    10: [86, 87, 88, 89],
+    20: [86, 87, 88, 89],
+    30: [86, 87, 88, 89],
+    40: [86, 87, 88, 89],
+    50: [85, 86, 87, 88, 89],
+    60: [85, 86, 87, 88, 89],
+    70: [85, 86, 87, 88, 89],
+    80: [85, 86, 87, 88, 89],
+    90: [85, 86, 87, 88, 89],
+    100: [85, 86, 87, 88, 89],
+    110: [85, 86, 87, 88, 89],
+    120: [85, 86, 87, 88, 89],
+    130: [84, 85, 86, 87, 88, 89],
+    140: [84, 85, 86, 87, 88, 89],
+    150: [84, 85, 86, 87, 88, 89],
+    160: [84, 85, 86, 87, 88, 89],
+    170: [84, 85, 86, 87, 88, 89],
+    180: [83, 84, 85, 86, 87, 88, 89],
+    190: [83, 84, 85, 86, 87, 88, 89],
+    200: [83, 84, 85, 86, 87, 88, 89],
+    210: [82, 83, 84, 85, 86, 87, 88, 89],
+    220: [82, 83, 84, 85, 86, 87, 88, 89],
+    230: [82, 83, 84, 85, 86, 87, 88, 89],
+    240: [82, 83, 84, 85, 86, 87, 88, 89],
+    250: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    260: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    270: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    280: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    290: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    300: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    310: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    320: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    330: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    340: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    350: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    360: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    370: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    380: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    390: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87],
+    400: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    410: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87],
+    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87],
+    430: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81]
+  },
+  150: {
+    0: [85, 86, 87, 88],
+    10: [85, 86, 87, 88],
+    20: [85, 86, 87, 88],
+    30: [84, 85, 86, 87, 88],
+    40: [84, 85, 86, 87, 88],
+    50: [84, 85, 86, 87, 88],
+    60: [84, 85, 86, 87, 88],
+    70: [84, 85, 86, 87, 88],
+    80: [84, 85, 86, 87, 88],
+    90: [84, 85, 86, 87, 88],
+    100: [83, 84, 85, 86, 87, 88],
+    110: [83, 84, 85, 86, 87, 88],
+    120: [83, 84, 85, 86, 87],
+    130: [83, 84, 85, 86, 87],
+    140: [82, 83, 84, 85, 86, 87],
+    150: [82, 83, 84, 85, 86, 87],
+    160: [82, 83, 84, 85, 86, 87],
+    170: [82, 83, 84, 85, 86, 87],
+    180: [81, 82, 83, 84, 85, 86, 87],
+    190: [81, 82, 83, 84, 85, 86, 87],
+    200: [81, 82, 83, 84, 85, 86, 87],
+    210: [80, 81, 82, 83, 84, 85, 86, 87],
+    220: [80, 81, 82, 83, 84, 85, 86],
+    230: [79, 80, 81, 82, 83, 84, 85, 86, 87],
+    240: [79, 80, 81, 82, 83, 84, 85, 86],
+    250: [78, 79, 80, 81, 82, 83, 84, 85, 86],
+    260: [78, 79, 80, 81, 82, 83, 84, 85, 86],
+    270: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
+    280: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
+    290: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
+    300: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
+    310: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
+    320: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
+    330: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
+    340: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
+    350: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
+    360: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
+    370: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
+    380: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
+    390: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
+    400: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
+    410: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
+    420: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
+    430: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
+    440: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62]
+  },
+  160: {
+    0: [84, 85, 86, 87],
+    10: [84, 85, 86, 87],
+    20: [83, 84, 85, 86, 87],
+    30: [83, 84, 85, 86, 87],
+    40: [83, 84, 85, 86],
+    50: [83, 84, 85, 86, 87],
+    60: [83, 84, 85, 86],
+    70: [83, 84, 85, 86],
+    80: [82, 83, 84, 85, 86],
+    90: [82, 83, 84, 85, 86],
+    100: [82, 83, 84, 85, 86],
+    110: [82, 83, 84, 85, 86],
+    120: [82, 83, 84, 85, 86],
+    130: [81, 82, 83, 84, 85, 86],
+    140: [81, 82, 83, 84, 85, 86],
+    150: [81, 82, 83, 84, 85, 86],
+    160: [80, 81, 82, 83, 84, 85, 86],
+    170: [80, 81, 82, 83, 84, 85],
+    180: [79, 80, 81, 82, 83, 84, 85],
+    190: [79, 80, 81, 82, 83, 84, 85],
+    200: [79, 80, 81, 82, 83, 84, 85],
+    210: [78, 79, 80, 81, 82, 83, 84, 85],
+    220: [78, 79, 80, 81, 82, 83, 84],
+    230: [77, 78, 79, 80, 81, 82, 83, 84],
+    240: [77, 78, 79, 80, 81, 82, 83, 84],
+    250: [76, 77, 78, 79, 80, 81, 82, 83, 84],
+    260: [76, 77, 78, 79, 80, 81, 82, 83],
+    270: [75, 76, 77, 78, 79, 80, 81, 82, 83],
+    280: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
+    290: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
+    300: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
+    310: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
+    320: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
+    330: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
+    340: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
+    350: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
+    360: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
+    370: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
+    380: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
+    390: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75],
+    400: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
+    410: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
+    420: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    440: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    450: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    460: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27]
+  },
+  170: {
+    0: [82, 83, 84, 85, 86],
+    10: [82, 83, 84, 85],
+    20: [82, 83, 84, 85, 86],
+    30: [82, 83, 84, 85],
+    40: [82, 83, 84, 85],
+    50: [81, 82, 83, 84, 85],
+    60: [81, 82, 83, 84, 85],
+    70: [81, 82, 83, 84, 85],
+    80: [81, 82, 83, 84, 85],
+    90: [81, 82, 83, 84, 85],
+    100: [80, 81, 82, 83, 84, 85],
+    110: [80, 81, 82, 83, 84],
+    120: [80, 81, 82, 83, 84],
+    130: [79, 80, 81, 82, 83, 84],
+    140: [79, 80, 81, 82, 83, 84],
+    150: [79, 80, 81, 82, 83, 84],
+    160: [78, 79, 80, 81, 82, 83, 84],
+    170: [78, 79, 80, 81, 82, 83],
+    180: [78, 79, 80, 81, 82, 83],
+    190: [77, 78, 79, 80, 81, 82, 83],
+    200: [77, 78, 79, 80, 81, 82, 83],
+    210: [76, 77, 78, 79, 80, 81, 82, 83],
+    220: [76, 77, 78, 79, 80, 81, 82],
+    230: [75, 76, 77, 78, 79, 80, 81, 82],
+    240: [75, 76, 77, 78, 79, 80, 81, 82],
+    250: [74, 75, 76, 77, 78, 79, 80, 81],
+    260: [73, 74, 75, 76, 77, 78, 79, 80, 81],
+    270: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
+    280: [72, 73, 74, 75, 76, 77, 78, 79, 80],
+    290: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
+    300: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
+    310: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
+    320: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
+    330: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
+    340: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
+    350: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75],
+    360: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
+    370: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
+    380: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
+    390: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    400: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    410: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    420: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    430: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    440: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 352, 353, 354, 355, 356, 357, 358, 359]
+  },
+  180: {
+    0: [81, 82, 83, 84],
+    10: [81, 82, 83, 84],
+    20: [81, 82, 83, 84],
+    30: [81, 82, 83, 84],
+    40: [81, 82, 83, 84],
+    50: [80, 81, 82, 83, 84],
+    60: [80, 81, 82, 83, 84],
+    70: [80, 81, 82, 83, 84],
+    80: [79, 80, 81, 82, 83],
+    90: [79, 80, 81, 82, 83],
+    100: [79, 80, 81, 82, 83],
+    110: [79, 80, 81, 82, 83],
+    120: [78, 79, 80, 81, 82, 83],
+    130: [78, 79, 80, 81, 82, 83],
+    140: [78, 79, 80, 81, 82],
+    150: [77, 78, 79, 80, 81, 82],
+    160: [77, 78, 79, 80, 81, 82],
+    170: [76, 77, 78, 79, 80, 81, 82],
+    180: [76, 77, 78, 79, 80, 81],
+    190: [75, 76, 77, 78, 79, 80, 81],
+    200: [75, 76, 77, 78, 79, 80, 81],
+    210: [74, 75, 76, 77, 78, 79, 80],
+    220: [73, 74, 75, 76, 77, 78, 79, 80],
+    230: [73, 74, 75, 76, 77, 78, 79, 80],
+    240: [72, 73, 74, 75, 76, 77, 78, 79],
+    250: [71, 72, 73, 74, 75, 76, 77, 78, 79],
+    260: [71, 72, 73, 74, 75, 76, 77, 78],
+    270: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
+    280: [69, 70, 71, 72, 73, 74, 75, 76, 77],
+    290: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
+    300: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
+    310: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75],
+    320: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
+    330: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
+    340: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
+    350: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
+    360: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
+    370: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    380: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    390: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    400: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    410: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    420: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    430: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 358, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 1, 2, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [352, 353]
+  },
+  190: {
+    0: [80, 81, 82, 83],
+    10: [80, 81, 82, 83],
+    20: [80, 81, 82, 83],
+    30: [79, 80, 81, 82, 83],
+    40: [79, 80, 81, 82, 83],
+    50: [79, 80, 81, 82, 83],
+    60: [79, 80, 81, 82],
+    70: [78, 79, 80, 81, 82],
+    80: [78, 79, 80, 81, 82],
+    90: [78, 79, 80, 81, 82],
+    100: [77, 78, 79, 80, 81, 82],
+    110: [77, 78, 79, 80, 81],
+    120: [77, 78, 79, 80, 81],
+    130: [76, 77, 78, 79, 80, 81],
+    140: [76, 77, 78, 79, 80, 81],
+    150: [75, 76, 77, 78, 79, 80, 81],
+    160: [75, 76, 77, 78, 79, 80],
+    170: [74, 75, 76, 77, 78, 79, 80],
+    180: [74, 75, 76, 77, 78, 79, 80],
+    190: [73, 74, 75, 76, 77, 78, 79],
+    200: [73, 74, 75, 76, 77, 78, 79],
+    210: [72, 73, 74, 75, 76, 77, 78],
+    220: [71, 72, 73, 74, 75, 76, 77, 78],
+    230: [71, 72, 73, 74, 75, 76, 77],
+    240: [70, 71, 72, 73, 74, 75, 76, 77],
+    250: [69, 70, 71, 72, 73, 74, 75, 76],
+    260: [68, 69, 70, 71, 72, 73, 74, 75, 76],
+    270: [67, 68, 69, 70, 71, 72, 73, 74, 75],
+    280: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75],
+    290: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
+    300: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
+    310: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
+    320: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
+    330: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    340: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
+    350: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    360: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    370: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    380: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    390: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    400: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    420: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    430: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 352, 353, 354, 355, 356, 357, 358, 359]
+  },
+  200: {
+    0: [79, 80, 81, 82],
+    10: [79, 80, 81, 82],
+    20: [78, 79, 80, 81, 82],
+    30: [78, 79, 80, 81],
+    40: [78, 79, 80, 81],
+    50: [78, 79, 80, 81],
+    60: [77, 78, 79, 80, 81],
+    70: [77, 78, 79, 80, 81],
+    80: [77, 78, 79, 80, 81],
+    90: [76, 77, 78, 79, 80],
+    100: [76, 77, 78, 79, 80],
+    110: [76, 77, 78, 79, 80],
+    120: [75, 76, 77, 78, 79, 80],
+    130: [75, 76, 77, 78, 79],
+    140: [74, 75, 76, 77, 78, 79],
+    150: [74, 75, 76, 77, 78, 79],
+    160: [73, 74, 75, 76, 77, 78],
+    170: [73, 74, 75, 76, 77, 78],
+    180: [72, 73, 74, 75, 76, 77, 78],
+    190: [71, 72, 73, 74, 75, 76, 77],
+    200: [71, 72, 73, 74, 75, 76, 77],
+    210: [70, 71, 72, 73, 74, 75, 76],
+    220: [69, 70, 71, 72, 73, 74, 75, 76],
+    230: [69, 70, 71, 72, 73, 74, 75],
+    240: [68, 69, 70, 71, 72, 73, 74, 75],
+    250: [67, 68, 69, 70, 71, 72, 73, 74],
+    260: [66, 67, 68, 69, 70, 71, 72, 73, 74],
+    270: [65, 66, 67, 68, 69, 70, 71, 72],
+    280: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
+    290: [63, 64, 65, 66, 67, 68, 69, 70, 71],
+    300: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    310: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
+    320: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    330: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    340: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    350: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    360: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    370: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    380: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    390: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    400: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    410: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    420: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    430: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39],
+    440: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 358, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 354, 355, 356, 357, 358, 359],
+    490: [0, 1, 2, 354, 355, 356, 357, 358, 359],
+    500: [354]
+  },
+  210: {
+    0: [78, 79, 80, 81],
+    10: [78, 79, 80, 81],
+    20: [77, 78, 79, 80, 81],
+    30: [77, 78, 79, 80],
+    40: [77, 78, 79, 80],
+    50: [76, 77, 78, 79, 80],
+    60: [76, 77, 78, 79, 80],
+    70: [76, 77, 78, 79, 80],
+    80: [75, 76, 77, 78, 79],
+    90: [75, 76, 77, 78, 79],
+    100: [75, 76, 77, 78, 79],
+    110: [74, 75, 76, 77, 78],
+    120: [74, 75, 76, 77, 78],
+    130: [73, 74, 75, 76, 77, 78],
+    140: [73, 74, 75, 76, 77],
+    150: [72, 73, 74, 75, 76, 77],
+    160: [72, 73, 74, 75, 76, 77],
+    170: [71, 72, 73, 74, 75, 76],
+    180: [71, 72, 73, 74, 75, 76],
+    190: [70, 71, 72, 73, 74, 75, 76],
+    200: [69, 70, 71, 72, 73, 74, 75],
+    210: [68, 69, 70, 71, 72, 73, 74],
+    220: [68, 69, 70, 71, 72, 73, 74],
+    230: [67, 68, 69, 70, 71, 72, 73],
+    240: [66, 67, 68, 69, 70, 71, 72, 73],
+    250: [65, 66, 67, 68, 69, 70, 71, 72],
+    260: [64, 65, 66, 67, 68, 69, 70, 71],
+    270: [62, 63, 64, 65, 66, 67, 68, 69, 70],
+    280: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    290: [60, 61, 62, 63, 64, 65, 66, 67, 68],
+    300: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    310: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    320: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    330: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    340: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    350: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    360: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    370: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    380: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    390: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    400: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    410: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    420: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40],
+    430: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 354, 355, 356, 357, 358, 359],
+    490: [0, 354, 355, 356, 357, 358, 359]
+  },
+  220: {
+    0: [77, 78, 79, 80],
+    10: [76, 77, 78, 79, 80],
+    20: [76, 77, 78, 79],
+    30: [76, 77, 78, 79],
+    40: [75, 76, 77, 78, 79],
+    50: [75, 76, 77, 78, 79],
+    60: [75, 76, 77, 78],
+    70: [74, 75, 76, 77, 78],
+    80: [74, 75, 76, 77, 78],
+    90: [73, 74, 75, 76, 77, 78],
+    100: [73, 74, 75, 76, 77],
+    110: [73, 74, 75, 76, 77],
+    120: [72, 73, 74, 75, 76, 77],
+    130: [72, 73, 74, 75, 76],
+    140: [71, 72, 73, 74, 75, 76],
+    150: [71, 72, 73, 74, 75],
+    160: [70, 71, 72, 73, 74, 75],
+    170: [69, 70, 71, 72, 73, 74, 75],
+    180: [69, 70, 71, 72, 73, 74],
+    190: [68, 69, 70, 71, 72, 73, 74],
+    200: [67, 68, 69, 70, 71, 72, 73],
+    210: [66, 67, 68, 69, 70, 71, 72, 73],
+    220: [66, 67, 68, 69, 70, 71, 72],
+    230: [65, 66, 67, 68, 69, 70, 71],
+    240: [64, 65, 66, 67, 68, 69, 70],
+    250: [62, 63, 64, 65, 66, 67, 68, 69, 70],
+    260: [62, 63, 64, 65, 66, 67, 68, 69],
+    270: [60, 61, 62, 63, 64, 65, 66, 67, 68],
+    280: [59, 60, 61, 62, 63, 64, 65, 66, 67],
+    290: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    300: [56, 57, 58, 59, 60, 61, 62, 63, 64],
+    310: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    320: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    330: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    340: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    350: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    360: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    370: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    380: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    390: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    400: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    410: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
+    420: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
+    430: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 355, 356, 357, 358, 359],
+    490: [0, 1, 355, 356, 357, 358, 359],
+    500: [355]
+  },
+  230: {
+    0: [76, 77, 78, 79],
+    10: [75, 76, 77, 78],
+    20: [75, 76, 77, 78],
+    30: [75, 76, 77, 78],
+    40: [74, 75, 76, 77, 78],
+    50: [74, 75, 76, 77],
+    60: [73, 74, 75, 76, 77],
+    70: [73, 74, 75, 76, 77],
+    80: [73, 74, 75, 76, 77],
+    90: [72, 73, 74, 75, 76],
+    100: [72, 73, 74, 75, 76],
+    110: [71, 72, 73, 74, 75, 76],
+    120: [71, 72, 73, 74, 75],
+    130: [70, 71, 72, 73, 74, 75],
+    140: [70, 71, 72, 73, 74],
+    150: [69, 70, 71, 72, 73, 74],
+    160: [68, 69, 70, 71, 72, 73],
+    170: [68, 69, 70, 71, 72, 73],
+    180: [67, 68, 69, 70, 71, 72],
+    190: [66, 67, 68, 69, 70, 71, 72],
+    200: [65, 66, 67, 68, 69, 70, 71],
+    210: [65, 66, 67, 68, 69, 70],
+    220: [64, 65, 66, 67, 68, 69, 70],
+    230: [63, 64, 65, 66, 67, 68, 69],
+    240: [62, 63, 64, 65, 66, 67, 68],
+    250: [61, 62, 63, 64, 65, 66, 67, 68],
+    260: [59, 60, 61, 62, 63, 64, 65, 66, 67],
+    270: [58, 59, 60, 61, 62, 63, 64, 65, 66],
+    280: [57, 58, 59, 60, 61, 62, 63, 64, 65],
+    290: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    300: [54, 55, 56, 57, 58, 59, 60, 61, 62],
+    310: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    320: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    330: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    340: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    350: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    360: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    370: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    380: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    390: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    400: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
+    410: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
+    420: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 355, 356, 357, 358, 359],
+    490: [0, 355, 356, 357, 358, 359]
+  },
+  240: {
+    0: [74, 75, 76, 77, 78],
+    10: [74, 75, 76, 77],
+    20: [74, 75, 76, 77],
+    30: [73, 74, 75, 76, 77],
+    40: [73, 74, 75, 76],
+    50: [73, 74, 75, 76],
+    60: [72, 73, 74, 75, 76],
+    70: [72, 73, 74, 75],
+    80: [71, 72, 73, 74, 75],
+    90: [71, 72, 73, 74, 75],
+    100: [70, 71, 72, 73, 74],
+    110: [70, 71, 72, 73, 74],
+    120: [69, 70, 71, 72, 73],
+    130: [69, 70, 71, 72, 73],
+    140: [68, 69, 70, 71, 72, 73],
+    150: [67, 68, 69, 70, 71, 72],
+    160: [67, 68, 69, 70, 71, 72],
+    170: [66, 67, 68, 69, 70, 71],
+    180: [65, 66, 67, 68, 69, 70, 71],
+    190: [65, 66, 67, 68, 69, 70],
+    200: [64, 65, 66, 67, 68, 69],
+    210: [63, 64, 65, 66, 67, 68],
+    220: [62, 63, 64, 65, 66, 67, 68],
+    230: [61, 62, 63, 64, 65, 66, 67],
+    240: [60, 61, 62, 63, 64, 65, 66],
+    250: [59, 60, 61, 62, 63, 64, 65],
+    260: [57, 58, 59, 60, 61, 62, 63, 64, 65],
+    270: [56, 57, 58, 59, 60, 61, 62, 63],
+    280: [55, 56, 57, 58, 59, 60, 61, 62, 63],
+    290: [54, 55, 56, 57, 58, 59, 60, 61],
+    300: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    310: [50, 51, 52, 53, 54, 55, 56, 57, 58],
+    320: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    330: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    340: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    350: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    360: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    370: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    380: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    390: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
+    400: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39],
+    410: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36],
+    420: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24],
+    450: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 356, 357, 358, 359],
+    490: [0, 1, 356, 357, 358, 359],
+    500: [356]
+  },
+  250: {
+    0: [73, 74, 75, 76],
+    10: [73, 74, 75, 76],
+    20: [73, 74, 75, 76],
+    30: [72, 73, 74, 75, 76],
+    40: [72, 73, 74, 75],
+    50: [71, 72, 73, 74, 75],
+    60: [71, 72, 73, 74, 75],
+    70: [71, 72, 73, 74],
+    80: [70, 71, 72, 73, 74],
+    90: [70, 71, 72, 73],
+    100: [69, 70, 71, 72, 73],
+    110: [69, 70, 71, 72, 73],
+    120: [68, 69, 70, 71, 72],
+    130: [67, 68, 69, 70, 71, 72],
+    140: [67, 68, 69, 70, 71],
+    150: [66, 67, 68, 69, 70, 71],
+    160: [66, 67, 68, 69, 70],
+    170: [64, 65, 66, 67, 68, 69, 70],
+    180: [64, 65, 66, 67, 68, 69],
+    190: [63, 64, 65, 66, 67, 68],
+    200: [62, 63, 64, 65, 66, 67, 68],
+    210: [61, 62, 63, 64, 65, 66, 67],
+    220: [60, 61, 62, 63, 64, 65, 66],
+    230: [59, 60, 61, 62, 63, 64, 65],
+    240: [58, 59, 60, 61, 62, 63, 64],
+    250: [57, 58, 59, 60, 61, 62, 63],
+    260: [55, 56, 57, 58, 59, 60, 61, 62],
+    270: [54, 55, 56, 57, 58, 59, 60, 61],
+    280: [53, 54, 55, 56, 57, 58, 59, 60],
+    290: [51, 52, 53, 54, 55, 56, 57, 58, 59],
+    300: [50, 51, 52, 53, 54, 55, 56, 57],
+    310: [48, 49, 50, 51, 52, 53, 54, 55, 56],
+    320: [46, 47, 48, 49, 50, 51, 52, 53, 54],
+    330: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    340: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    350: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    360: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    370: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    380: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    390: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39],
+    400: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36],
+    410: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22],
+    450: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 356, 357, 358, 359],
+    490: [0, 356, 357, 358, 359]
+  },
+  260: {
+    0: [72, 73, 74, 75],
+    10: [72, 73, 74, 75],
+    20: [71, 72, 73, 74, 75],
+    30: [71, 72, 73, 74],
+    40: [71, 72, 73, 74],
+    50: [70, 71, 72, 73, 74],
+    60: [70, 71, 72, 73],
+    70: [69, 70, 71, 72, 73],
+    80: [69, 70, 71, 72],
+    90: [68, 69, 70, 71, 72],
+    100: [68, 69, 70, 71, 72],
+    110: [67, 68, 69, 70, 71],
+    120: [66, 67, 68, 69, 70, 71],
+    130: [66, 67, 68, 69, 70],
+    140: [65, 66, 67, 68, 69, 70],
+    150: [65, 66, 67, 68, 69],
+    160: [64, 65, 66, 67, 68, 69],
+    170: [63, 64, 65, 66, 67, 68],
+    180: [62, 63, 64, 65, 66, 67],
+    190: [61, 62, 63, 64, 65, 66, 67],
+    200: [61, 62, 63, 64, 65, 66],
+    210: [59, 60, 61, 62, 63, 64, 65],
+    220: [59, 60, 61, 62, 63, 64],
+    230: [57, 58, 59, 60, 61, 62, 63, 64],
+    240: [57, 58, 59, 60, 61, 62],
+    250: [55, 56, 57, 58, 59, 60, 61, 62],
+    260: [54, 55, 56, 57, 58, 59, 60],
+    270: [52, 53, 54, 55, 56, 57, 58, 59],
+    280: [51, 52, 53, 54, 55, 56, 57, 58],
+    290: [49, 50, 51, 52, 53, 54, 55, 56, 57],
+    300: [48, 49, 50, 51, 52, 53, 54, 55],
+    310: [46, 47, 48, 49, 50, 51, 52, 53, 54],
+    320: [44, 45, 46, 47, 48, 49, 50, 51, 52],
+    330: [42, 43, 44, 45, 46, 47, 48, 49, 50],
+    340: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    350: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    360: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    370: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    380: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40],
+    390: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
+    400: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34],
+    410: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20],
+    450: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 357, 358, 359],
+    490: [0, 1, 357, 358, 359],
+    500: [357]
+  },
+  270: {
+    0: [71, 72, 73, 74],
+    10: [71, 72, 73, 74],
+    20: [70, 71, 72, 73, 74],
+    30: [70, 71, 72, 73],
+    40: [69, 70, 71, 72, 73],
+    50: [69, 70, 71, 72],
+    60: [69, 70, 71, 72],
+    70: [68, 69, 70, 71, 72],
+    80: [68, 69, 70, 71],
+    90: [67, 68, 69, 70, 71],
+    100: [66, 67, 68, 69, 70],
+    110: [66, 67, 68, 69, 70],
+    120: [65, 66, 67, 68, 69],
+    130: [65, 66, 67, 68, 69],
+    140: [64, 65, 66, 67, 68],
+    150: [63, 64, 65, 66, 67],
+    160: [62, 63, 64, 65, 66, 67],
+    170: [62, 63, 64, 65, 66],
+    180: [61, 62, 63, 64, 65, 66],
+    190: [60, 61, 62, 63, 64, 65],
+    200: [59, 60, 61, 62, 63, 64],
+    210: [58, 59, 60, 61, 62, 63],
+    220: [57, 58, 59, 60, 61, 62, 63],
+    230: [56, 57, 58, 59, 60, 61, 62],
+    240: [54, 55, 56, 57, 58, 59, 60, 61],
+    250: [53, 54, 55, 56, 57, 58, 59, 60],
+    260: [52, 53, 54, 55, 56, 57, 58, 59],
+    270: [51, 52, 53, 54, 55, 56, 57],
+    280: [49, 50, 51, 52, 53, 54, 55, 56],
+    290: [48, 49, 50, 51, 52, 53, 54],
+    300: [46, 47, 48, 49, 50, 51, 52, 53],
+    310: [44, 45, 46, 47, 48, 49, 50, 51, 52],
+    320: [42, 43, 44, 45, 46, 47, 48, 49, 50],
+    330: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    340: [38, 39, 40, 41, 42, 43, 44, 45, 46],
+    350: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    360: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    370: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40],
+    380: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38],
+    390: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35],
+    400: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
+    410: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29],
+    420: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
+    440: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19],
+    450: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 357, 358, 359],
+    490: [0, 357, 358, 359],
+    500: [357]
+  },
+  280: {
+    0: [70, 71, 72, 73],
+    10: [70, 71, 72, 73],
+    20: [69, 70, 71, 72],
+    30: [69, 70, 71, 72],
+    40: [68, 69, 70, 71, 72],
+    50: [68, 69, 70, 71],
+    60: [67, 68, 69, 70, 71],
+    70: [67, 68, 69, 70],
+    80: [66, 67, 68, 69, 70],
+    90: [66, 67, 68, 69, 70],
+    100: [65, 66, 67, 68, 69],
+    110: [64, 65, 66, 67, 68, 69],
+    120: [64, 65, 66, 67, 68],
+    130: [63, 64, 65, 66, 67],
+    140: [63, 64, 65, 66, 67],
+    150: [62, 63, 64, 65, 66],
+    160: [61, 62, 63, 64, 65, 66],
+    170: [60, 61, 62, 63, 64, 65],
+    180: [59, 60, 61, 62, 63, 64],
+    190: [58, 59, 60, 61, 62, 63],
+    200: [57, 58, 59, 60, 61, 62, 63],
+    210: [56, 57, 58, 59, 60, 61, 62],
+    220: [55, 56, 57, 58, 59, 60, 61],
+    230: [54, 55, 56, 57, 58, 59, 60],
+    240: [53, 54, 55, 56, 57, 58, 59],
+    250: [52, 53, 54, 55, 56, 57, 58],
+    260: [50, 51, 52, 53, 54, 55, 56, 57],
+    270: [49, 50, 51, 52, 53, 54, 55, 56],
+    280: [47, 48, 49, 50, 51, 52, 53, 54],
+    290: [46, 47, 48, 49, 50, 51, 52, 53],
+    300: [44, 45, 46, 47, 48, 49, 50, 51],
+    310: [42, 43, 44, 45, 46, 47, 48, 49, 50],
+    320: [40, 41, 42, 43, 44, 45, 46, 47, 48],
+    330: [38, 39, 40, 41, 42, 43, 44, 45, 46],
+    340: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    350: [34, 35, 36, 37, 38, 39, 40, 41, 42],
+    360: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40],
+    370: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38],
+    380: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35],
+    390: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33],
+    400: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31],
+    410: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
+    420: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21],
+    440: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18],
+    450: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 357, 358, 359],
+    490: [0, 1, 357, 358, 359],
+    500: [357]
+  },
+  290: {
+    0: [69, 70, 71, 72],
+    10: [69, 70, 71, 72],
+    20: [68, 69, 70, 71],
+    30: [68, 69, 70, 71],
+    40: [67, 68, 69, 70],
+    50: [67, 68, 69, 70],
+    60: [66, 67, 68, 69, 70],
+    70: [66, 67, 68, 69],
+    80: [65, 66, 67, 68, 69],
+    90: [65, 66, 67, 68],
+    100: [64, 65, 66, 67, 68],
+    110: [63, 64, 65, 66, 67],
+    120: [63, 64, 65, 66, 67],
+    130: [62, 63, 64, 65, 66],
+    140: [61, 62, 63, 64, 65],
+    150: [60, 61, 62, 63, 64, 65],
+    160: [60, 61, 62, 63, 64],
+    170: [59, 60, 61, 62, 63],
+    180: [58, 59, 60, 61, 62],
+    190: [57, 58, 59, 60, 61, 62],
+    200: [56, 57, 58, 59, 60, 61],
+    210: [55, 56, 57, 58, 59, 60],
+    220: [54, 55, 56, 57, 58, 59],
+    230: [52, 53, 54, 55, 56, 57, 58],
+    240: [52, 53, 54, 55, 56, 57],
+    250: [50, 51, 52, 53, 54, 55, 56],
+    260: [49, 50, 51, 52, 53, 54, 55],
+    270: [47, 48, 49, 50, 51, 52, 53, 54],
+    280: [46, 47, 48, 49, 50, 51, 52],
+    290: [44, 45, 46, 47, 48, 49, 50, 51],
+    300: [42, 43, 44, 45, 46, 47, 48, 49, 50],
+    310: [41, 42, 43, 44, 45, 46, 47, 48],
+    320: [39, 40, 41, 42, 43, 44, 45, 46],
+    330: [37, 38, 39, 40, 41, 42, 43, 44],
+    340: [35, 36, 37, 38, 39, 40, 41, 42, 43],
+    350: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
+    360: [30, 31, 32, 33, 34, 35, 36, 37, 38],
+    370: [28, 29, 30, 31, 32, 33, 34, 35, 36],
+    380: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34],
+    390: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
+    400: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
+    410: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26],
+    420: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
+    430: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20],
+    440: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17],
+    450: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 358, 359],
+    480: [0, 1, 2, 3, 4, 357, 358, 359],
+    490: [0, 357, 358, 359]
+  },
+  300: {
+    0: [68, 69, 70, 71],
+    10: [68, 69, 70],
+    20: [67, 68, 69, 70],
+    30: [67, 68, 69, 70],
+    40: [66, 67, 68, 69],
+    50: [66, 67, 68, 69],
+    60: [65, 66, 67, 68],
+    70: [64, 65, 66, 67, 68],
+    80: [64, 65, 66, 67],
+    90: [63, 64, 65, 66, 67],
+    100: [63, 64, 65, 66, 67],
+    110: [62, 63, 64, 65, 66],
+    120: [61, 62, 63, 64, 65],
+    130: [61, 62, 63, 64, 65],
+    140: [60, 61, 62, 63, 64],
+    150: [59, 60, 61, 62, 63],
+    160: [58, 59, 60, 61, 62, 63],
+    170: [57, 58, 59, 60, 61, 62],
+    180: [56, 57, 58, 59, 60, 61],
+    190: [55, 56, 57, 58, 59, 60],
+    200: [54, 55, 56, 57, 58, 59, 60],
+    210: [53, 54, 55, 56, 57, 58, 59],
+    220: [52, 53, 54, 55, 56, 57, 58],
+    230: [51, 52, 53, 54, 55, 56, 57],
+    240: [50, 51, 52, 53, 54, 55, 56],
+    250: [49, 50, 51, 52, 53, 54],
+    260: [47, 48, 49, 50, 51, 52, 53],
+    270: [46, 47, 48, 49, 50, 51, 52],
+    280: [44, 45, 46, 47, 48, 49, 50, 51],
+    290: [43, 44, 45, 46, 47, 48, 49],
+    300: [41, 42, 43, 44, 45, 46, 47, 48],
+    310: [39, 40, 41, 42, 43, 44, 45, 46],
+    320: [38, 39, 40, 41, 42, 43, 44],
+    330: [35, 36, 37, 38, 39, 40, 41, 42, 43],
+    340: [33, 34, 35, 36, 37, 38, 39, 40, 41],
+    350: [31, 32, 33, 34, 35, 36, 37, 38, 39],
+    360: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
+    370: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35],
+    380: [24, 25, 26, 27, 28, 29, 30, 31, 32],
+    390: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30],
+    400: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
+    410: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25],
+    420: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22],
+    430: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19],
+    440: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
+    450: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 358, 359],
+    480: [0, 1, 2, 3, 4, 358, 359],
+    490: [0, 358, 359]
+  },
+  310: {
+    0: [67, 68, 69, 70],
+    10: [67, 68, 69, 70],
+    20: [66, 67, 68, 69],
+    30: [66, 67, 68, 69],
+    40: [65, 66, 67, 68],
+    50: [65, 66, 67, 68],
+    60: [64, 65, 66, 67],
+    70: [63, 64, 65, 66, 67],
+    80: [63, 64, 65, 66],
+    90: [62, 63, 64, 65, 66],
+    100: [62, 63, 64, 65],
+    110: [61, 62, 63, 64, 65],
+    120: [60, 61, 62, 63, 64],
+    130: [59, 60, 61, 62, 63],
+    140: [59, 60, 61, 62, 63],
+    150: [58, 59, 60, 61, 62],
+    160: [57, 58, 59, 60, 61],
+    170: [56, 57, 58, 59, 60],
+    180: [55, 56, 57, 58, 59, 60],
+    190: [54, 55, 56, 57, 58, 59],
+    200: [53, 54, 55, 56, 57, 58],
+    210: [52, 53, 54, 55, 56, 57],
+    220: [51, 52, 53, 54, 55, 56],
+    230: [50, 51, 52, 53, 54, 55],
+    240: [48, 49, 50, 51, 52, 53, 54],
+    250: [47, 48, 49, 50, 51, 52, 53],
+    260: [46, 47, 48, 49, 50, 51, 52],
+    270: [44, 45, 46, 47, 48, 49, 50, 51],
+    280: [43, 44, 45, 46, 47, 48, 49],
+    290: [41, 42, 43, 44, 45, 46, 47, 48],
+    300: [40, 41, 42, 43, 44, 45, 46],
+    310: [38, 39, 40, 41, 42, 43, 44, 45],
+    320: [36, 37, 38, 39, 40, 41, 42, 43],
+    330: [34, 35, 36, 37, 38, 39, 40, 41],
+    340: [32, 33, 34, 35, 36, 37, 38, 39],
+    350: [30, 31, 32, 33, 34, 35, 36, 37, 38],
+    360: [28, 29, 30, 31, 32, 33, 34, 35],
+    370: [25, 26, 27, 28, 29, 30, 31, 32, 33],
+    380: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31],
+    390: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29],
+    400: [18, 19, 20, 21, 22, 23, 24, 25, 26],
+    410: [15, 16, 17, 18, 19, 20, 21, 22, 23],
+    420: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21],
+    430: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18],
+    440: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    450: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+    470: [0, 1, 2, 3, 4, 5, 6, 358, 359],
+    480: [0, 1, 2, 3, 358, 359],
+    490: [0, 358, 359],
+    500: [358]
+  },
+  320: {
+    0: [66, 67, 68, 69],
+    10: [65, 66, 67, 68],
+    20: [65, 66, 67, 68],
+    30: [64, 65, 66, 67, 68],
+    40: [64, 65, 66, 67],
+    50: [64, 65, 66, 67],
+    60: [63, 64, 65, 66],
+    70: [62, 63, 64, 65, 66],
+    80: [62, 63, 64, 65],
+    90: [61, 62, 63, 64, 65],
+    100: [60, 61, 62, 63, 64],
+    110: [60, 61, 62, 63],
+    120: [59, 60, 61, 62, 63],
+    130: [58, 59, 60, 61, 62],
+    140: [58, 59, 60, 61],
+    150: [56, 57, 58, 59, 60, 61],
+    160: [56, 57, 58, 59, 60],
+    170: [55, 56, 57, 58, 59],
+    180: [54, 55, 56, 57, 58],
+    190: [53, 54, 55, 56, 57, 58],
+    200: [52, 53, 54, 55, 56],
+    210: [51, 52, 53, 54, 55, 56],
+    220: [50, 51, 52, 53, 54],
+    230: [48, 49, 50, 51, 52, 53, 54],
+    240: [47, 48, 49, 50, 51, 52],
+    250: [46, 47, 48, 49, 50, 51],
+    260: [44, 45, 46, 47, 48, 49, 50],
+    270: [43, 44, 45, 46, 47, 48, 49],
+    280: [41, 42, 43, 44, 45, 46, 47, 48],
+    290: [40, 41, 42, 43, 44, 45, 46],
+    300: [38, 39, 40, 41, 42, 43, 44, 45],
+    310: [36, 37, 38, 39, 40, 41, 42, 43],
+    320: [35, 36, 37, 38, 39, 40, 41],
+    330: [32, 33, 34, 35, 36, 37, 38, 39, 40],
+    340: [31, 32, 33, 34, 35, 36, 37, 38],
+    350: [29, 30, 31, 32, 33, 34, 35, 36],
+    360: [26, 27, 28, 29, 30, 31, 32, 33, 34],
+    370: [24, 25, 26, 27, 28, 29, 30, 31, 32],
+    380: [22, 23, 24, 25, 26, 27, 28, 29],
+    390: [19, 20, 21, 22, 23, 24, 25, 26, 27],
+    400: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25],
+    410: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
+    420: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20],
+    430: [9, 10, 11, 12, 13, 14, 15, 16, 17],
+    440: [6, 7, 8, 9, 10, 11, 12, 13, 14],
+    450: [3, 4, 5, 6, 7, 8, 9, 10, 11],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    470: [0, 1, 2, 3, 4, 5, 6, 358, 359],
+    480: [0, 1, 2, 3, 358, 359],
+    490: [0, 358, 359]
+  },
+  330: {
+    0: [65, 66, 67, 68],
+    10: [65, 66, 67],
+    20: [64, 65, 66, 67],
+    30: [63, 64, 65, 66, 67],
+    40: [63, 64, 65, 66],
+    50: [62, 63, 64, 65, 66],
+    60: [62, 63, 64, 65],
+    70: [61, 62, 63, 64, 65],
+    80: [60, 61, 62, 63, 64],
+    90: [60, 61, 62, 63],
+    100: [59, 60, 61, 62, 63],
+    110: [59, 60, 61, 62],
+    120: [58, 59, 60, 61, 62],
+    130: [57, 58, 59, 60, 61],
+    140: [56, 57, 58, 59, 60],
+    150: [55, 56, 57, 58, 59],
+    160: [54, 55, 56, 57, 58, 59],
+    170: [54, 55, 56, 57, 58],
+    180: [53, 54, 55, 56, 57],
+    190: [52, 53, 54, 55, 56],
+    200: [50, 51, 52, 53, 54, 55],
+    210: [49, 50, 51, 52, 53, 54],
+    220: [48, 49, 50, 51, 52, 53],
+    230: [47, 48, 49, 50, 51, 52],
+    240: [46, 47, 48, 49, 50, 51],
+    250: [45, 46, 47, 48, 49, 50],
+    260: [43, 44, 45, 46, 47, 48, 49],
+    270: [42, 43, 44, 45, 46, 47],
+    280: [40, 41, 42, 43, 44, 45, 46],
+    290: [38, 39, 40, 41, 42, 43, 44, 45],
+    300: [37, 38, 39, 40, 41, 42, 43],
+    310: [35, 36, 37, 38, 39, 40, 41, 42],
+    320: [33, 34, 35, 36, 37, 38, 39, 40],
+    330: [32, 33, 34, 35, 36, 37, 38],
+    340: [29, 30, 31, 32, 33, 34, 35, 36, 37],
+    350: [27, 28, 29, 30, 31, 32, 33, 34, 35],
+    360: [26, 27, 28, 29, 30, 31, 32],
+    370: [23, 24, 25, 26, 27, 28, 29, 30],
+    380: [21, 22, 23, 24, 25, 26, 27, 28, 29],
+    390: [18, 19, 20, 21, 22, 23, 24, 25, 26],
+    400: [16, 17, 18, 19, 20, 21, 22, 23, 24],
+    410: [14, 15, 16, 17, 18, 19, 20, 21],
+    420: [11, 12, 13, 14, 15, 16, 17, 18, 19],
+    430: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17],
+    440: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14],
+    450: [3, 4, 5, 6, 7, 8, 9, 10, 11],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    470: [0, 1, 2, 3, 4, 5, 6, 358, 359],
+    480: [0, 1, 2, 3, 358, 359],
+    490: [0, 1, 358, 359],
+    500: [358]
+  },
+  340: {
+    0: [64, 65, 66, 67],
+    10: [64, 65, 66],
+    20: [63, 64, 65, 66],
+    30: [63, 64, 65],
+    40: [62, 63, 64, 65],
+    50: [61, 62, 63, 64, 65],
+    60: [61, 62, 63, 64],
+    70: [60, 61, 62, 63],
+    80: [60, 61, 62, 63],
+    90: [59, 60, 61, 62],
+    100: [58, 59, 60, 61, 62],
+    110: [57, 58, 59, 60, 61],
+    120: [57, 58, 59, 60],
+    130: [56, 57, 58, 59, 60],
+    140: [55, 56, 57, 58, 59],
+    150: [54, 55, 56, 57, 58],
+    160: [53, 54, 55, 56, 57],
+    170: [52, 53, 54, 55, 56, 57],
+    180: [51, 52, 53, 54, 55, 56],
+    190: [50, 51, 52, 53, 54, 55],
+    200: [49, 50, 51, 52, 53, 54],
+    210: [48, 49, 50, 51, 52, 53],
+    220: [47, 48, 49, 50, 51, 52],
+    230: [46, 47, 48, 49, 50, 51],
+    240: [45, 46, 47, 48, 49, 50],
+    250: [43, 44, 45, 46, 47, 48, 49],
+    260: [42, 43, 44, 45, 46, 47],
+    270: [40, 41, 42, 43, 44, 45, 46],
+    280: [39, 40, 41, 42, 43, 44, 45],
+    290: [37, 38, 39, 40, 41, 42, 43],
+    300: [36, 37, 38, 39, 40, 41, 42],
+    310: [34, 35, 36, 37, 38, 39, 40],
+    320: [32, 33, 34, 35, 36, 37, 38, 39],
+    330: [30, 31, 32, 33, 34, 35, 36, 37],
+    340: [29, 30, 31, 32, 33, 34, 35],
+    350: [26, 27, 28, 29, 30, 31, 32, 33],
+    360: [24, 25, 26, 27, 28, 29, 30, 31],
+    370: [22, 23, 24, 25, 26, 27, 28, 29],
+    380: [20, 21, 22, 23, 24, 25, 26, 27],
+    390: [18, 19, 20, 21, 22, 23, 24, 25],
+    400: [15, 16, 17, 18, 19, 20, 21, 22, 23],
+    410: [13, 14, 15, 16, 17, 18, 19, 20, 21],
+    420: [10, 11, 12, 13, 14, 15, 16, 17, 18],
+    430: [8, 9, 10, 11, 12, 13, 14, 15, 16],
+    440: [6, 7, 8, 9, 10, 11, 12, 13],
+    450: [3, 4, 5, 6, 7, 8, 9, 10],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8],
+    470: [0, 1, 2, 3, 4, 5, 358, 359],
+    480: [0, 1, 2, 3, 358, 359],
+    490: [0, 358, 359]
+  },
+  350: {
+    0: [63, 64, 65, 66],
+    10: [63, 64, 65],
+    20: [62, 63, 64, 65],
+    30: [62, 63, 64],
+    40: [61, 62, 63, 64],
+    50: [60, 61, 62, 63],
+    60: [60, 61, 62, 63],
+    70: [59, 60, 61, 62],
+    80: [58, 59, 60, 61, 62],
+    90: [58, 59, 60, 61],
+    100: [57, 58, 59, 60],
+    110: [56, 57, 58, 59, 60],
+    120: [56, 57, 58, 59],
+    130: [55, 56, 57, 58, 59],
+    140: [54, 55, 56, 57, 58],
+    150: [53, 54, 55, 56, 57],
+    160: [52, 53, 54, 55, 56],
+    170: [51, 52, 53, 54, 55],
+    180: [50, 51, 52, 53, 54],
+    190: [49, 50, 51, 52, 53, 54],
+    200: [48, 49, 50, 51, 52],
+    210: [47, 48, 49, 50, 51, 52],
+    220: [46, 47, 48, 49, 50, 51],
+    230: [45, 46, 47, 48, 49, 50],
+    240: [43, 44, 45, 46, 47, 48],
+    250: [42, 43, 44, 45, 46, 47],
+    260: [41, 42, 43, 44, 45, 46],
+    270: [40, 41, 42, 43, 44],
+    280: [38, 39, 40, 41, 42, 43],
+    290: [36, 37, 38, 39, 40, 41, 42],
+    300: [35, 36, 37, 38, 39, 40],
+    310: [33, 34, 35, 36, 37, 38, 39],
+    320: [31, 32, 33, 34, 35, 36, 37],
+    330: [29, 30, 31, 32, 33, 34, 35],
+    340: [27, 28, 29, 30, 31, 32, 33, 34],
+    350: [25, 26, 27, 28, 29, 30, 31, 32],
+    360: [24, 25, 26, 27, 28, 29, 30],
+    370: [21, 22, 23, 24, 25, 26, 27, 28],
+    380: [19, 20, 21, 22, 23, 24, 25, 26],
+    390: [17, 18, 19, 20, 21, 22, 23, 24],
+    400: [15, 16, 17, 18, 19, 20, 21, 22],
+    410: [13, 14, 15, 16, 17, 18, 19],
+    420: [10, 11, 12, 13, 14, 15, 16, 17],
+    430: [8, 9, 10, 11, 12, 13, 14, 15],
+    440: [5, 6, 7, 8, 9, 10, 11, 12, 13],
+    450: [2, 3, 4, 5, 6, 7, 8, 9, 10],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8],
+    470: [0, 1, 2, 3, 4, 5, 358, 359],
+    480: [0, 1, 2, 3, 358, 359],
+    490: [0, 358, 359],
+    500: [358]
+  },
+  360: {
+    0: [62, 63, 64, 65],
+    10: [62, 63, 64],
+    20: [61, 62, 63, 64],
+    30: [60, 61, 62, 63],
+    40: [60, 61, 62, 63],
+    50: [59, 60, 61, 62],
+    60: [59, 60, 61, 62],
+    70: [58, 59, 60, 61],
+    80: [57, 58, 59, 60, 61],
+    90: [57, 58, 59, 60],
+    100: [56, 57, 58, 59],
+    110: [55, 56, 57, 58, 59],
+    120: [54, 55, 56, 57, 58],
+    130: [54, 55, 56, 57],
+    140: [53, 54, 55, 56, 57],
+    150: [52, 53, 54, 55, 56],
+    160: [51, 52, 53, 54, 55],
+    170: [50, 51, 52, 53, 54],
+    180: [49, 50, 51, 52, 53],
+    190: [48, 49, 50, 51, 52],
+    200: [47, 48, 49, 50, 51],
+    210: [46, 47, 48, 49, 50],
+    220: [45, 46, 47, 48, 49],
+    230: [44, 45, 46, 47, 48],
+    240: [42, 43, 44, 45, 46, 47],
+    250: [41, 42, 43, 44, 45, 46],
+    260: [40, 41, 42, 43, 44, 45],
+    270: [38, 39, 40, 41, 42, 43, 44],
+    280: [37, 38, 39, 40, 41, 42],
+    290: [35, 36, 37, 38, 39, 40, 41],
+    300: [33, 34, 35, 36, 37, 38, 39],
+    310: [32, 33, 34, 35, 36, 37],
+    320: [30, 31, 32, 33, 34, 35, 36],
+    330: [28, 29, 30, 31, 32, 33, 34, 35],
+    340: [27, 28, 29, 30, 31, 32, 33],
+    350: [25, 26, 27, 28, 29, 30, 31],
+    360: [22, 23, 24, 25, 26, 27, 28, 29],
+    370: [21, 22, 23, 24, 25, 26, 27],
+    380: [19, 20, 21, 22, 23, 24, 25],
+    390: [17, 18, 19, 20, 21, 22, 23],
+    400: [14, 15, 16, 17, 18, 19, 20, 21],
+    410: [12, 13, 14, 15, 16, 17, 18, 19],
+    420: [9, 10, 11, 12, 13, 14, 15, 16, 17],
+    430: [7, 8, 9, 10, 11, 12, 13, 14, 15],
+    440: [5, 6, 7, 8, 9, 10, 11, 12],
+    450: [3, 4, 5, 6, 7, 8, 9, 10],
+    460: [0, 1, 2, 3, 4, 5, 6, 7],
+    470: [0, 1, 2, 3, 4, 5, 358, 359],
+    480: [0, 1, 2, 358, 359],
+    490: [0, 358, 359]
+  },
+  370: {
+    0: [61, 62, 63, 64],
+    10: [61, 62, 63],
+    20: [60, 61, 62, 63],
+    30: [60, 61, 62],
+    40: [59, 60, 61, 62],
+    50: [58, 59, 60, 61],
+    60: [58, 59, 60, 61],
+    70: [57, 58, 59, 60],
+    80: [56, 57, 58, 59, 60],
+    90: [56, 57, 58, 59],
+    100: [55, 56, 57, 58],
+    110: [54, 55, 56, 57, 58],
+    120: [53, 54, 55, 56, 57],
+    130: [53, 54, 55, 56],
+    140: [52, 53, 54, 55],
+    150: [51, 52, 53, 54, 55],
+    160: [50, 51, 52, 53, 54],
+    170: [49, 50, 51, 52, 53],
+    180: [48, 49, 50, 51, 52],
+    190: [47, 48, 49, 50, 51],
+    200: [46, 47, 48, 49, 50],
+    210: [45, 46, 47, 48, 49],
+    220: [44, 45, 46, 47, 48],
+    230: [42, 43, 44, 45, 46, 47],
+    240: [41, 42, 43, 44, 45, 46],
+    250: [40, 41, 42, 43, 44, 45],
+    260: [38, 39, 40, 41, 42, 43, 44],
+    270: [37, 38, 39, 40, 41, 42],
+    280: [35, 36, 37, 38, 39, 40, 41],
+    290: [34, 35, 36, 37, 38, 39],
+    300: [33, 34, 35, 36, 37, 38],
+    310: [31, 32, 33, 34, 35, 36, 37],
+    320: [29, 30, 31, 32, 33, 34, 35],
+    330: [28, 29, 30, 31, 32, 33],
+    340: [26, 27, 28, 29, 30, 31, 32],
+    350: [24, 25, 26, 27, 28, 29, 30],
+    360: [22, 23, 24, 25, 26, 27, 28],
+    370: [20, 21, 22, 23, 24, 25, 26],
+    380: [18, 19, 20, 21, 22, 23, 24],
+    390: [16, 17, 18, 19, 20, 21, 22],
+    400: [14, 15, 16, 17, 18, 19, 20],
+    410: [12, 13, 14, 15, 16, 17, 18],
+    420: [10, 11, 12, 13, 14, 15, 16],
+    430: [7, 8, 9, 10, 11, 12, 13, 14],
+    440: [5, 6, 7, 8, 9, 10, 11, 12],
+    450: [2, 3, 4, 5, 6, 7, 8, 9],
+    460: [0, 1, 2, 3, 4, 5, 6, 7],
+    470: [0, 1, 2, 3, 4, 5, 359],
+    480: [0, 1, 2, 3, 359],
+    490: [0, 359]
+  },
+  380: {
+    0: [60, 61, 62, 63],
+    10: [60, 61, 62, 63],
+    20: [59, 60, 61, 62],
+    30: [59, 60, 61],
+    40: [58, 59, 60, 61],
+    50: [57, 58, 59, 60],
+    60: [57, 58, 59, 60],
+    70: [56, 57, 58, 59],
+    80: [55, 56, 57, 58, 59],
+    90: [55, 56, 57, 58],
+    100: [54, 55, 56, 57],
+    110: [53, 54, 55, 56, 57],
+    120: [52, 53, 54, 55, 56],
+    130: [51, 52, 53, 54, 55],
+    140: [51, 52, 53, 54],
+    150: [50, 51, 52, 53, 54],
+    160: [49, 50, 51, 52, 53],
+    170: [48, 49, 50, 51, 52],
+    180: [47, 48, 49, 50, 51],
+    190: [46, 47, 48, 49, 50],
+    200: [45, 46, 47, 48, 49],
+    210: [44, 45, 46, 47, 48],
+    220: [42, 43, 44, 45, 46, 47],
+    230: [41, 42, 43, 44, 45, 46],
+    240: [40, 41, 42, 43, 44, 45],
+    250: [39, 40, 41, 42, 43],
+    260: [37, 38, 39, 40, 41, 42],
+    270: [36, 37, 38, 39, 40, 41],
+    280: [35, 36, 37, 38, 39],
+    290: [33, 34, 35, 36, 37, 38],
+    300: [32, 33, 34, 35, 36, 37],
+    310: [30, 31, 32, 33, 34, 35],
+    320: [28, 29, 30, 31, 32, 33, 34],
+    330: [26, 27, 28, 29, 30, 31, 32],
+    340: [25, 26, 27, 28, 29, 30],
+    350: [23, 24, 25, 26, 27, 28, 29],
+    360: [21, 22, 23, 24, 25, 26, 27],
+    370: [19, 20, 21, 22, 23, 24, 25],
+    380: [17, 18, 19, 20, 21, 22, 23],
+    390: [16, 17, 18, 19, 20, 21],
+    400: [13, 14, 15, 16, 17, 18, 19],
+    410: [11, 12, 13, 14, 15, 16, 17, 18],
+    420: [9, 10, 11, 12, 13, 14, 15, 16],
+    430: [7, 8, 9, 10, 11, 12, 13],
+    440: [5, 6, 7, 8, 9, 10, 11],
+    450: [2, 3, 4, 5, 6, 7, 8, 9],
+    460: [0, 1, 2, 3, 4, 5, 6, 7],
+    470: [0, 1, 2, 3, 4, 5, 359],
+    480: [0, 1, 2, 359],
+    490: [0, 359]
+  },
+  390: {
+    0: [59, 60, 61, 62],
+    10: [59, 60, 61, 62],
+    20: [58, 59, 60, 61],
+    30: [58, 59, 60, 61],
+    40: [57, 58, 59, 60],
+    50: [56, 57, 58, 59],
+    60: [56, 57, 58, 59],
+    70: [55, 56, 57, 58],
+    80: [54, 55, 56, 57, 58],
+    90: [54, 55, 56, 57],
+    100: [53, 54, 55, 56],
+    110: [52, 53, 54, 55],
+    120: [51, 52, 53, 54, 55],
+    130: [51, 52, 53, 54],
+    140: [50, 51, 52, 53],
+    150: [49, 50, 51, 52],
+    160: [48, 49, 50, 51, 52],
+    170: [47, 48, 49, 50, 51],
+    180: [46, 47, 48, 49, 50],
+    190: [45, 46, 47, 48, 49],
+    200: [44, 45, 46, 47, 48],
+    210: [43, 44, 45, 46, 47],
+    220: [42, 43, 44, 45, 46],
+    230: [40, 41, 42, 43, 44, 45],
+    240: [39, 40, 41, 42, 43],
+    250: [38, 39, 40, 41, 42, 43],
+    260: [36, 37, 38, 39, 40, 41],
+    270: [35, 36, 37, 38, 39, 40],
+    280: [34, 35, 36, 37, 38, 39],
+    290: [32, 33, 34, 35, 36, 37],
+    300: [31, 32, 33, 34, 35, 36],
+    310: [29, 30, 31, 32, 33, 34],
+    320: [28, 29, 30, 31, 32, 33],
+    330: [26, 27, 28, 29, 30, 31],
+    340: [24, 25, 26, 27, 28, 29, 30],
+    350: [22, 23, 24, 25, 26, 27, 28],
+    360: [21, 22, 23, 24, 25, 26],
+    370: [19, 20, 21, 22, 23, 24],
+    380: [17, 18, 19, 20, 21, 22, 23],
+    390: [15, 16, 17, 18, 19, 20, 21],
+    400: [13, 14, 15, 16, 17, 18, 19],
+    410: [11, 12, 13, 14, 15, 16, 17],
+    420: [9, 10, 11, 12, 13, 14, 15],
+    430: [7, 8, 9, 10, 11, 12, 13],
+    440: [5, 6, 7, 8, 9, 10, 11],
+    450: [2, 3, 4, 5, 6, 7, 8, 9],
+    460: [0, 1, 2, 3, 4, 5, 6, 7],
+    470: [0, 1, 2, 3, 4, 5, 359],
+    480: [0, 1, 2, 359],
+    490: [0, 359]
+  },
+  400: {
+    0: [59, 60, 61],
+    10: [58, 59, 60, 61],
+    20: [57, 58, 59, 60],
+    30: [57, 58, 59, 60],
+    40: [56, 57, 58, 59],
+    50: [55, 56, 57, 58],
+    60: [55, 56, 57, 58],
+    70: [54, 55, 56, 57],
+    80: [54, 55, 56],
+    90: [53, 54, 55, 56],
+    100: [52, 53, 54, 55],
+    110: [51, 52, 53, 54, 55],
+    120: [50, 51, 52, 53, 54],
+    130: [49, 50, 51, 52, 53],
+    140: [49, 50, 51, 52],
+    150: [48, 49, 50, 51],
+    160: [47, 48, 49, 50],
+    170: [46, 47, 48, 49, 50],
+    180: [45, 46, 47, 48, 49],
+    190: [44, 45, 46, 47, 48],
+    200: [43, 44, 45, 46, 47],
+    210: [42, 43, 44, 45, 46],
+    220: [41, 42, 43, 44, 45],
+    230: [39, 40, 41, 42, 43, 44],
+    240: [38, 39, 40, 41, 42, 43],
+    250: [37, 38, 39, 40, 41],
+    260: [35, 36, 37, 38, 39, 40],
+    270: [34, 35, 36, 37, 38, 39],
+    280: [33, 34, 35, 36, 37],
+    290: [31, 32, 33, 34, 35, 36],
+    300: [30, 31, 32, 33, 34, 35],
+    310: [29, 30, 31, 32, 33],
+    320: [27, 28, 29, 30, 31, 32],
+    330: [25, 26, 27, 28, 29, 30],
+    340: [23, 24, 25, 26, 27, 28, 29],
+    350: [22, 23, 24, 25, 26, 27],
+    360: [20, 21, 22, 23, 24, 25],
+    370: [18, 19, 20, 21, 22, 23, 24],
+    380: [16, 17, 18, 19, 20, 21, 22],
+    390: [14, 15, 16, 17, 18, 19, 20],
+    400: [13, 14, 15, 16, 17, 18],
+    410: [10, 11, 12, 13, 14, 15, 16],
+    420: [8, 9, 10, 11, 12, 13, 14],
+    430: [6, 7, 8, 9, 10, 11, 12, 13],
+    440: [4, 5, 6, 7, 8, 9, 10, 11],
+    450: [2, 3, 4, 5, 6, 7, 8, 9],
+    460: [0, 1, 2, 3, 4, 5, 6, 7],
+    470: [0, 1, 2, 3, 4, 359],
+    480: [0, 1, 2, 359],
+    490: [0, 359]
+  },
+  410: {
+    0: [58, 59, 60],
+    10: [57, 58, 59, 60],
+    20: [57, 58, 59],
+    30: [56, 57, 58, 59],
+    40: [55, 56, 57, 58],
+    50: [55, 56, 57],
+    60: [54, 55, 56, 57],
+    70: [53, 54, 55, 56],
+    80: [53, 54, 55, 56],
+    90: [52, 53, 54, 55],
+    100: [51, 52, 53, 54],
+    110: [50, 51, 52, 53],
+    120: [49, 50, 51, 52, 53],
+    130: [49, 50, 51, 52],
+    140: [48, 49, 50, 51],
+    150: [47, 48, 49, 50],
+    160: [46, 47, 48, 49, 50],
+    170: [45, 46, 47, 48, 49],
+    180: [44, 45, 46, 47, 48],
+    190: [43, 44, 45, 46, 47],
+    200: [42, 43, 44, 45, 46],
+    210: [41, 42, 43, 44, 45],
+    220: [40, 41, 42, 43, 44],
+    230: [38, 39, 40, 41, 42, 43],
+    240: [37, 38, 39, 40, 41],
+    250: [36, 37, 38, 39, 40],
+    260: [35, 36, 37, 38, 39],
+    270: [33, 34, 35, 36, 37, 38],
+    280: [32, 33, 34, 35, 36, 37],
+    290: [31, 32, 33, 34, 35],
+    300: [29, 30, 31, 32, 33, 34],
+    310: [27, 28, 29, 30, 31, 32, 33],
+    320: [26, 27, 28, 29, 30, 31],
+    330: [24, 25, 26, 27, 28, 29],
+    340: [23, 24, 25, 26, 27, 28],
+    350: [21, 22, 23, 24, 25, 26],
+    360: [19, 20, 21, 22, 23, 24, 25],
+    370: [18, 19, 20, 21, 22, 23],
+    380: [16, 17, 18, 19, 20, 21],
+    390: [14, 15, 16, 17, 18, 19, 20],
+    400: [12, 13, 14, 15, 16, 17, 18],
+    410: [10, 11, 12, 13, 14, 15, 16],
+    420: [8, 9, 10, 11, 12, 13, 14],
+    430: [6, 7, 8, 9, 10, 11, 12],
+    440: [5, 6, 7, 8, 9, 10],
+    450: [3, 4, 5, 6, 7, 8],
+    460: [1, 2, 3, 4, 5, 6],
+    470: [0, 1, 2, 3, 4, 359],
+    480: [0, 1, 2, 359],
+    490: [0, 359]
+  },
+  420: {
+    0: [57, 58, 59],
+    10: [56, 57, 58, 59],
+    20: [56, 57, 58],
+    30: [55, 56, 57, 58],
+    40: [55, 56, 57],
+    50: [54, 55, 56, 57],
+    60: [53, 54, 55, 56],
+    70: [52, 53, 54, 55],
+    80: [52, 53, 54, 55],
+    90: [51, 52, 53, 54],
+    100: [50, 51, 52, 53],
+    110: [49, 50, 51, 52, 53],
+    120: [49, 50, 51, 52],
+    130: [48, 49, 50, 51],
+    140: [47, 48, 49, 50],
+    150: [46, 47, 48, 49],
+    160: [45, 46, 47, 48, 49],
+    170: [44, 45, 46, 47, 48],
+    180: [43, 44, 45, 46, 47],
+    190: [42, 43, 44, 45, 46],
+    200: [41, 42, 43, 44, 45],
+    210: [40, 41, 42, 43, 44],
+    220: [39, 40, 41, 42, 43],
+    230: [38, 39, 40, 41, 42],
+    240: [36, 37, 38, 39, 40, 41],
+    250: [35, 36, 37, 38, 39],
+    260: [34, 35, 36, 37, 38],
+    270: [32, 33, 34, 35, 36, 37],
+    280: [31, 32, 33, 34, 35],
+    290: [30, 31, 32, 33, 34],
+    300: [28, 29, 30, 31, 32, 33],
+    310: [27, 28, 29, 30, 31],
+    320: [25, 26, 27, 28, 29, 30],
+    330: [24, 25, 26, 27, 28, 29],
+    340: [22, 23, 24, 25, 26, 27],
+    350: [21, 22, 23, 24, 25],
+    360: [19, 20, 21, 22, 23, 24],
+    370: [17, 18, 19, 20, 21, 22],
+    380: [15, 16, 17, 18, 19, 20, 21],
+    390: [13, 14, 15, 16, 17, 18, 19],
+    400: [12, 13, 14, 15, 16, 17],
+    410: [10, 11, 12, 13, 14, 15],
+    420: [8, 9, 10, 11, 12, 13],
+    430: [6, 7, 8, 9, 10, 11, 12],
+    440: [4, 5, 6, 7, 8, 9, 10],
+    450: [2, 3, 4, 5, 6, 7, 8],
+    460: [0, 1, 2, 3, 4, 5, 6],
+    470: [0, 1, 2, 3, 4, 359],
+    480: [0, 1, 2, 359],
+    490: [0, 359]
+  },
+  430: {
+    0: [56, 57, 58, 59],
+    10: [55, 56, 57, 58],
+    20: [55, 56, 57],
+    30: [54, 55, 56, 57],
+    40: [54, 55, 56],
+    50: [53, 54, 55, 56],
+    60: [52, 53, 54, 55],
+    70: [51, 52, 53, 54],
+    80: [51, 52, 53, 54],
+    90: [50, 51, 52, 53],
+    100: [49, 50, 51, 52],
+    110: [48, 49, 50, 51, 52],
+    120: [48, 49, 50, 51],
+    130: [47, 48, 49, 50],
+    140: [46, 47, 48, 49],
+    150: [45, 46, 47, 48],
+    160: [44, 45, 46, 47, 48],
+    170: [43, 44, 45, 46, 47],
+    180: [42, 43, 44, 45, 46],
+    190: [41, 42, 43, 44, 45],
+    200: [40, 41, 42, 43, 44],
+    210: [39, 40, 41, 42, 43],
+    220: [38, 39, 40, 41, 42],
+    230: [37, 38, 39, 40, 41],
+    240: [36, 37, 38, 39],
+    250: [34, 35, 36, 37, 38, 39],
+    260: [33, 34, 35, 36, 37],
+    270: [32, 33, 34, 35, 36],
+    280: [30, 31, 32, 33, 34, 35],
+    290: [29, 30, 31, 32, 33],
+    300: [28, 29, 30, 31, 32],
+    310: [26, 27, 28, 29, 30, 31],
+    320: [25, 26, 27, 28, 29],
+    330: [23, 24, 25, 26, 27, 28],
+    340: [21, 22, 23, 24, 25, 26],
+    350: [20, 21, 22, 23, 24, 25],
+    360: [18, 19, 20, 21, 22, 23],
+    370: [17, 18, 19, 20, 21],
+    380: [15, 16, 17, 18, 19, 20],
+    390: [13, 14, 15, 16, 17, 18],
+    400: [11, 12, 13, 14, 15, 16, 17],
+    410: [9, 10, 11, 12, 13, 14, 15],
+    420: [8, 9, 10, 11, 12, 13],
+    430: [6, 7, 8, 9, 10, 11],
+    440: [4, 5, 6, 7, 8, 9],
+    450: [2, 3, 4, 5, 6, 7, 8],
+    460: [1, 2, 3, 4, 5, 6],
+    470: [0, 1, 2, 3, 4, 359],
+    480: [0, 1, 2, 359],
+    490: [0, 359]
+  },
+  440: {
+    0: [55, 56, 57, 58],
+    10: [55, 56, 57],
+    20: [54, 55, 56, 57],
+    30: [53, 54, 55, 56],
+    40: [53, 54, 55],
+    50: [52, 53, 54, 55],
+    60: [51, 52, 53, 54],
+    70: [51, 52, 53, 54],
+    80: [50, 51, 52, 53],
+    90: [49, 50, 51, 52],
+    100: [48, 49, 50, 51],
+    110: [48, 49, 50, 51],
+    120: [47, 48, 49, 50],
+    130: [46, 47, 48, 49],
+    140: [45, 46, 47, 48],
+    150: [44, 45, 46, 47],
+    160: [43, 44, 45, 46, 47],
+    170: [42, 43, 44, 45, 46],
+    180: [41, 42, 43, 44, 45],
+    190: [40, 41, 42, 43, 44],
+    200: [39, 40, 41, 42, 43],
+    210: [38, 39, 40, 41, 42],
+    220: [37, 38, 39, 40, 41],
+    230: [36, 37, 38, 39, 40],
+    240: [35, 36, 37, 38, 39],
+    250: [34, 35, 36, 37],
+    260: [32, 33, 34, 35, 36],
+    270: [31, 32, 33, 34, 35],
+    280: [30, 31, 32, 33, 34],
+    290: [28, 29, 30, 31, 32, 33],
+    300: [27, 28, 29, 30, 31],
+    310: [26, 27, 28, 29, 30],
+    320: [24, 25, 26, 27, 28],
+    330: [22, 23, 24, 25, 26, 27],
+    340: [21, 22, 23, 24, 25, 26],
+    350: [19, 20, 21, 22, 23, 24],
+    360: [18, 19, 20, 21, 22],
+    370: [16, 17, 18, 19, 20, 21],
+    380: [14, 15, 16, 17, 18, 19],
+    390: [13, 14, 15, 16, 17, 18],
+    400: [11, 12, 13, 14, 15, 16],
+    410: [9, 10, 11, 12, 13, 14],
+    420: [8, 9, 10, 11, 12],
+    430: [6, 7, 8, 9, 10, 11],
+    440: [4, 5, 6, 7, 8, 9],
+    450: [2, 3, 4, 5, 6, 7],
+    460: [0, 1, 2, 3, 4, 5, 6],
+    470: [0, 1, 2, 3, 4, 359],
+    480: [0, 1, 2, 359],
+    490: [0, 359],
+    500: [359]
+  },
+  450: {
+    0: [54, 55, 56, 57],
+    10: [54, 55, 56],
+    20: [53, 54, 55, 56],
+    30: [53, 54, 55],
+    40: [52, 53, 54, 55],
+    50: [51, 52, 53, 54],
+    60: [51, 52, 53],
+    70: [50, 51, 52, 53],
+    80: [49, 50, 51, 52],
+    90: [48, 49, 50, 51],
+    100: [48, 49, 50],
+    110: [47, 48, 49, 50],
+    120: [46, 47, 48, 49],
+    130: [45, 46, 47, 48],
+    140: [44, 45, 46, 47],
+    150: [43, 44, 45, 46, 47],
+    160: [42, 43, 44, 45, 46],
+    170: [41, 42, 43, 44, 45],
+    180: [40, 41, 42, 43, 44],
+    190: [39, 40, 41, 42, 43],
+    200: [38, 39, 40, 41, 42],
+    210: [37, 38, 39, 40, 41],
+    220: [36, 37, 38, 39, 40],
+    230: [35, 36, 37, 38, 39],
+    240: [34, 35, 36, 37, 38],
+    250: [33, 34, 35, 36, 37],
+    260: [31, 32, 33, 34, 35],
+    270: [30, 31, 32, 33, 34],
+    280: [29, 30, 31, 32, 33],
+    290: [28, 29, 30, 31, 32],
+    300: [26, 27, 28, 29, 30],
+    310: [25, 26, 27, 28, 29],
+    320: [23, 24, 25, 26, 27, 28],
+    330: [22, 23, 24, 25, 26],
+    340: [20, 21, 22, 23, 24, 25],
+    350: [19, 20, 21, 22, 23, 24],
+    360: [17, 18, 19, 20, 21, 22],
+    370: [16, 17, 18, 19, 20],
+    380: [14, 15, 16, 17, 18, 19],
+    390: [12, 13, 14, 15, 16, 17],
+    400: [11, 12, 13, 14, 15, 16],
+    410: [9, 10, 11, 12, 13, 14],
+    420: [7, 8, 9, 10, 11, 12],
+    430: [6, 7, 8, 9, 10, 11],
+    440: [4, 5, 6, 7, 8, 9],
+    450: [2, 3, 4, 5, 6, 7],
+    460: [0, 1, 2, 3, 4, 5, 6],
+    470: [0, 1, 2, 3, 4, 359],
+    480: [0, 1, 2, 359],
+    490: [0, 359],
+    500: [359]
+  },
+  460: {
+    0: [54, 55, 56],
+    10: [53, 54, 55, 56],
+    20: [52, 53, 54, 55],
+    30: [52, 53, 54],
+    40: [51, 52, 53, 54],
+    50: [51, 52, 53],
+    60: [50, 51, 52, 53],
+    70: [49, 50, 51, 52],
+    80: [48, 49, 50, 51],
+    90: [48, 49, 50],
+    100: [47, 48, 49, 50],
+    110: [46, 47, 48, 49],
+    120: [45, 46, 47, 48],
+    130: [44, 45, 46, 47],
+    140: [43, 44, 45, 46, 47],
+    150: [43, 44, 45, 46],
+    160: [42, 43, 44, 45],
+    170: [41, 42, 43, 44],
+    180: [40, 41, 42, 43],
+    190: [39, 40, 41, 42],
+    200: [38, 39, 40, 41],
+    210: [36, 37, 38, 39, 40],
+    220: [36, 37, 38, 39],
+    230: [34, 35, 36, 37, 38],
+    240: [33, 34, 35, 36, 37],
+    250: [32, 33, 34, 35, 36],
+    260: [31, 32, 33, 34, 35],
+    270: [29, 30, 31, 32, 33, 34],
+    280: [28, 29, 30, 31, 32],
+    290: [27, 28, 29, 30, 31],
+    300: [25, 26, 27, 28, 29, 30],
+    310: [24, 25, 26, 27, 28],
+    320: [23, 24, 25, 26, 27],
+    330: [21, 22, 23, 24, 25, 26],
+    340: [20, 21, 22, 23, 24],
+    350: [18, 19, 20, 21, 22, 23],
+    360: [17, 18, 19, 20, 21],
+    370: [15, 16, 17, 18, 19, 20],
+    380: [14, 15, 16, 17, 18],
+    390: [12, 13, 14, 15, 16, 17],
+    400: [10, 11, 12, 13, 14, 15],
+    410: [9, 10, 11, 12, 13, 14],
+    420: [7, 8, 9, 10, 11, 12],
+    430: [6, 7, 8, 9, 10],
+    440: [4, 5, 6, 7, 8],
+    450: [2, 3, 4, 5, 6, 7],
+    460: [1, 2, 3, 4, 5],
+    470: [0, 1, 2, 3, 4, 359],
+    480: [0, 1, 2, 359],
+    490: [0, 359],
+    500: [359]
+  },
+  470: {
+    0: [53, 54, 55],
+    10: [52, 53, 54, 55],
+    20: [52, 53, 54],
+    30: [51, 52, 53, 54],
+    40: [50, 51, 52, 53],
+    50: [50, 51, 52],
+    60: [49, 50, 51, 52],
+    70: [48, 49, 50, 51],
+    80: [48, 49, 50],
+    90: [47, 48, 49, 50],
+    100: [46, 47, 48, 49],
+    110: [45, 46, 47, 48],
+    120: [44, 45, 46, 47],
+    130: [43, 44, 45, 46, 47],
+    140: [43, 44, 45, 46],
+    150: [42, 43, 44, 45],
+    160: [41, 42, 43, 44],
+    170: [40, 41, 42, 43],
+    180: [39, 40, 41, 42],
+    190: [38, 39, 40, 41],
+    200: [37, 38, 39, 40],
+    210: [36, 37, 38, 39],
+    220: [35, 36, 37, 38],
+    230: [34, 35, 36, 37],
+    240: [33, 34, 35, 36],
+    250: [31, 32, 33, 34, 35],
+    260: [30, 31, 32, 33, 34],
+    270: [29, 30, 31, 32, 33],
+    280: [27, 28, 29, 30, 31, 32],
+    290: [26, 27, 28, 29, 30],
+    300: [25, 26, 27, 28, 29],
+    310: [24, 25, 26, 27, 28],
+    320: [22, 23, 24, 25, 26],
+    330: [21, 22, 23, 24, 25],
+    340: [20, 21, 22, 23],
+    350: [18, 19, 20, 21, 22],
+    360: [16, 17, 18, 19, 20, 21],
+    370: [15, 16, 17, 18, 19],
+    380: [13, 14, 15, 16, 17, 18],
+    390: [12, 13, 14, 15, 16],
+    400: [10, 11, 12, 13, 14, 15],
+    410: [9, 10, 11, 12, 13],
+    420: [7, 8, 9, 10, 11, 12],
+    430: [5, 6, 7, 8, 9, 10],
+    440: [4, 5, 6, 7, 8, 9],
+    450: [2, 3, 4, 5, 6, 7],
+    460: [0, 1, 2, 3, 4, 5],
+    470: [0, 1, 2, 3, 4, 359],
+    480: [0, 1, 2, 359],
+    490: [0, 359],
+    500: [359]
+  },
+  480: {
+    0: [52, 53, 54, 55],
+    10: [52, 53, 54],
+    20: [51, 52, 53],
+    30: [50, 51, 52, 53],
+    40: [50, 51, 52],
+    50: [49, 50, 51],
+    60: [48, 49, 50, 51],
+    70: [48, 49, 50],
+    80: [47, 48, 49, 50],
+    90: [46, 47, 48, 49],
+    100: [45, 46, 47, 48],
+    110: [44, 45, 46, 47],
+    120: [44, 45, 46, 47],
+    130: [43, 44, 45, 46],
+    140: [42, 43, 44, 45],
+    150: [41, 42, 43, 44],
+    160: [40, 41, 42, 43],
+    170: [39, 40, 41, 42],
+    180: [38, 39, 40, 41],
+    190: [37, 38, 39, 40, 41],
+    200: [36, 37, 38, 39],
+    210: [35, 36, 37, 38, 39],
+    220: [34, 35, 36, 37],
+    230: [33, 34, 35, 36],
+    240: [32, 33, 34, 35],
+    250: [31, 32, 33, 34],
+    260: [29, 30, 31, 32, 33],
+    270: [28, 29, 30, 31, 32],
+    280: [27, 28, 29, 30, 31],
+    290: [26, 27, 28, 29, 30],
+    300: [24, 25, 26, 27, 28],
+    310: [23, 24, 25, 26, 27],
+    320: [22, 23, 24, 25, 26],
+    330: [20, 21, 22, 23, 24],
+    340: [19, 20, 21, 22, 23],
+    350: [17, 18, 19, 20, 21, 22],
+    360: [16, 17, 18, 19, 20],
+    370: [15, 16, 17, 18, 19],
+    380: [13, 14, 15, 16, 17],
+    390: [11, 12, 13, 14, 15, 16],
+    400: [10, 11, 12, 13, 14],
+    410: [8, 9, 10, 11, 12, 13],
+    420: [7, 8, 9, 10, 11],
+    430: [5, 6, 7, 8, 9, 10],
+    440: [4, 5, 6, 7, 8],
+    450: [2, 3, 4, 5, 6, 7],
+    460: [1, 2, 3, 4, 5],
+    470: [0, 1, 2, 3, 359],
+    480: [0, 1, 2, 359],
+    490: [0, 359]
+  },
+  490: {
+    0: [51, 52, 53, 54],
+    10: [51, 52, 53],
+    20: [50, 51, 52, 53],
+    30: [49, 50, 51, 52],
+    40: [49, 50, 51],
+    50: [48, 49, 50, 51],
+    60: [48, 49, 50],
+    70: [47, 48, 49],
+    80: [46, 47, 48, 49],
+    90: [45, 46, 47, 48],
+    100: [44, 45, 46, 47],
+    110: [44, 45, 46, 47],
+    120: [43, 44, 45, 46],
+    130: [42, 43, 44, 45],
+    140: [41, 42, 43, 44],
+    150: [40, 41, 42, 43],
+    160: [39, 40, 41, 42],
+    170: [38, 39, 40, 41, 42],
+    180: [37, 38, 39, 40, 41],
+    190: [36, 37, 38, 39, 40],
+    200: [35, 36, 37, 38, 39],
+    210: [35, 36, 37, 38],
+    220: [33, 34, 35, 36, 37],
+    230: [32, 33, 34, 35, 36],
+    240: [31, 32, 33, 34],
+    250: [30, 31, 32, 33, 34],
+    260: [29, 30, 31, 32],
+    270: [28, 29, 30, 31],
+    280: [26, 27, 28, 29, 30],
+    290: [25, 26, 27, 28, 29],
+    300: [24, 25, 26, 27, 28],
+    310: [23, 24, 25, 26],
+    320: [21, 22, 23, 24, 25],
+    330: [20, 21, 22, 23, 24],
+    340: [19, 20, 21, 22],
+    350: [17, 18, 19, 20, 21],
+    360: [16, 17, 18, 19, 20],
+    370: [14, 15, 16, 17, 18],
+    380: [13, 14, 15, 16, 17],
+    390: [11, 12, 13, 14, 15, 16],
+    400: [10, 11, 12, 13, 14],
+    410: [8, 9, 10, 11, 12],
+    420: [7, 8, 9, 10, 11],
+    430: [5, 6, 7, 8, 9, 10],
+    440: [4, 5, 6, 7, 8],
+    450: [2, 3, 4, 5, 6, 7],
+    460: [0, 1, 2, 3, 4, 5],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  500: {
+    0: [51, 52, 53],
+    10: [50, 51, 52],
+    20: [49, 50, 51, 52],
+    30: [49, 50, 51],
+    40: [48, 49, 50, 51],
+    50: [47, 48, 49, 50],
+    60: [47, 48, 49],
+    70: [46, 47, 48, 49],
+    80: [45, 46, 47, 48],
+    90: [45, 46, 47],
+    100: [44, 45, 46, 47],
+    110: [43, 44, 45, 46],
+    120: [42, 43, 44, 45],
+    130: [41, 42, 43, 44],
+    140: [40, 41, 42, 43],
+    150: [40, 41, 42],
+    160: [39, 40, 41, 42],
+    170: [38, 39, 40, 41],
+    180: [37, 38, 39, 40],
+    190: [36, 37, 38, 39],
+    200: [35, 36, 37, 38],
+    210: [34, 35, 36, 37],
+    220: [33, 34, 35, 36],
+    230: [32, 33, 34, 35],
+    240: [30, 31, 32, 33, 34],
+    250: [29, 30, 31, 32, 33],
+    260: [28, 29, 30, 31, 32],
+    270: [27, 28, 29, 30, 31],
+    280: [26, 27, 28, 29],
+    290: [25, 26, 27, 28],
+    300: [23, 24, 25, 26, 27],
+    310: [22, 23, 24, 25, 26],
+    320: [21, 22, 23, 24, 25],
+    330: [19, 20, 21, 22, 23],
+    340: [18, 19, 20, 21, 22],
+    350: [17, 18, 19, 20, 21],
+    360: [15, 16, 17, 18, 19],
+    370: [14, 15, 16, 17, 18],
+    380: [13, 14, 15, 16],
+    390: [11, 12, 13, 14, 15],
+    400: [9, 10, 11, 12, 13, 14],
+    410: [8, 9, 10, 11, 12],
+    420: [6, 7, 8, 9, 10, 11],
+    430: [5, 6, 7, 8, 9],
+    440: [4, 5, 6, 7, 8],
+    450: [2, 3, 4, 5, 6],
+    460: [1, 2, 3, 4, 5],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  510: {
+    0: [50, 51, 52],
+    10: [49, 50, 51, 52],
+    20: [49, 50, 51],
+    30: [48, 49, 50, 51],
+    40: [47, 48, 49, 50],
+    50: [47, 48, 49],
+    60: [46, 47, 48, 49],
+    70: [45, 46, 47, 48],
+    80: [45, 46, 47],
+    90: [44, 45, 46],
+    100: [43, 44, 45, 46],
+    110: [42, 43, 44, 45],
+    120: [41, 42, 43, 44],
+    130: [41, 42, 43],
+    140: [40, 41, 42],
+    150: [39, 40, 41, 42],
+    160: [38, 39, 40, 41],
+    170: [37, 38, 39, 40],
+    180: [36, 37, 38, 39],
+    190: [35, 36, 37, 38],
+    200: [34, 35, 36, 37],
+    210: [33, 34, 35, 36],
+    220: [32, 33, 34, 35],
+    230: [31, 32, 33, 34],
+    240: [30, 31, 32, 33],
+    250: [29, 30, 31, 32],
+    260: [28, 29, 30, 31],
+    270: [27, 28, 29, 30],
+    280: [25, 26, 27, 28, 29],
+    290: [24, 25, 26, 27, 28],
+    300: [23, 24, 25, 26],
+    310: [22, 23, 24, 25],
+    320: [20, 21, 22, 23, 24],
+    330: [19, 20, 21, 22, 23],
+    340: [18, 19, 20, 21, 22],
+    350: [16, 17, 18, 19, 20],
+    360: [15, 16, 17, 18, 19],
+    370: [14, 15, 16, 17, 18],
+    380: [12, 13, 14, 15, 16],
+    390: [11, 12, 13, 14, 15],
+    400: [9, 10, 11, 12, 13],
+    410: [8, 9, 10, 11, 12],
+    420: [7, 8, 9, 10],
+    430: [5, 6, 7, 8, 9],
+    440: [4, 5, 6, 7],
+    450: [2, 3, 4, 5, 6],
+    460: [1, 2, 3, 4, 5],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  520: {
+    0: [49, 50, 51, 52],
+    10: [49, 50, 51],
+    20: [48, 49, 50],
+    30: [47, 48, 49, 50],
+    40: [47, 48, 49],
+    50: [46, 47, 48],
+    60: [45, 46, 47, 48],
+    70: [45, 46, 47],
+    80: [44, 45, 46],
+    90: [43, 44, 45, 46],
+    100: [42, 43, 44, 45],
+    110: [42, 43, 44],
+    120: [41, 42, 43, 44],
+    130: [40, 41, 42, 43],
+    140: [39, 40, 41, 42],
+    150: [38, 39, 40, 41],
+    160: [37, 38, 39, 40],
+    170: [36, 37, 38, 39],
+    180: [35, 36, 37, 38],
+    190: [34, 35, 36, 37, 38],
+    200: [34, 35, 36],
+    210: [32, 33, 34, 35, 36],
+    220: [31, 32, 33, 34, 35],
+    230: [30, 31, 32, 33],
+    240: [29, 30, 31, 32, 33],
+    250: [28, 29, 30, 31, 32],
+    260: [27, 28, 29, 30],
+    270: [26, 27, 28, 29],
+    280: [25, 26, 27, 28],
+    290: [24, 25, 26, 27],
+    300: [22, 23, 24, 25, 26],
+    310: [21, 22, 23, 24, 25],
+    320: [20, 21, 22, 23, 24],
+    330: [19, 20, 21, 22],
+    340: [17, 18, 19, 20, 21],
+    350: [16, 17, 18, 19, 20],
+    360: [15, 16, 17, 18],
+    370: [13, 14, 15, 16, 17],
+    380: [12, 13, 14, 15, 16],
+    390: [11, 12, 13, 14],
+    400: [9, 10, 11, 12, 13],
+    410: [8, 9, 10, 11, 12],
+    420: [6, 7, 8, 9, 10],
+    430: [5, 6, 7, 8, 9],
+    440: [3, 4, 5, 6, 7, 8],
+    450: [2, 3, 4, 5, 6],
+    460: [1, 2, 3, 4, 5],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  530: {
+    0: [49, 50, 51],
+    10: [48, 49, 50],
+    20: [47, 48, 49, 50],
+    30: [47, 48, 49],
+    40: [46, 47, 48],
+    50: [45, 46, 47, 48],
+    60: [45, 46, 47],
+    70: [44, 45, 46],
+    80: [43, 44, 45, 46],
+    90: [42, 43, 44, 45],
+    100: [42, 43, 44],
+    110: [41, 42, 43, 44],
+    120: [40, 41, 42, 43],
+    130: [39, 40, 41, 42],
+    140: [39, 40, 41],
+    150: [37, 38, 39, 40],
+    160: [37, 38, 39],
+    170: [36, 37, 38, 39],
+    180: [35, 36, 37, 38],
+    190: [34, 35, 36, 37],
+    200: [33, 34, 35, 36],
+    210: [32, 33, 34, 35],
+    220: [31, 32, 33, 34],
+    230: [30, 31, 32, 33],
+    240: [29, 30, 31, 32],
+    250: [28, 29, 30, 31],
+    260: [26, 27, 28, 29, 30],
+    270: [25, 26, 27, 28, 29],
+    280: [24, 25, 26, 27, 28],
+    290: [23, 24, 25, 26, 27],
+    300: [22, 23, 24, 25],
+    310: [21, 22, 23, 24],
+    320: [20, 21, 22, 23],
+    330: [18, 19, 20, 21, 22],
+    340: [17, 18, 19, 20, 21],
+    350: [16, 17, 18, 19],
+    360: [14, 15, 16, 17, 18],
+    370: [13, 14, 15, 16, 17],
+    380: [12, 13, 14, 15],
+    390: [10, 11, 12, 13, 14],
+    400: [9, 10, 11, 12, 13],
+    410: [8, 9, 10, 11],
+    420: [6, 7, 8, 9, 10],
+    430: [5, 6, 7, 8, 9],
+    440: [3, 4, 5, 6, 7],
+    450: [2, 3, 4, 5, 6],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  540: {
+    0: [48, 49, 50],
+    10: [47, 48, 49, 50],
+    20: [47, 48, 49],
+    30: [46, 47, 48],
+    40: [45, 46, 47, 48],
+    50: [45, 46, 47],
+    60: [44, 45, 46],
+    70: [43, 44, 45, 46],
+    80: [43, 44, 45],
+    90: [42, 43, 44],
+    100: [41, 42, 43, 44],
+    110: [40, 41, 42, 43],
+    120: [39, 40, 41, 42],
+    130: [39, 40, 41],
+    140: [38, 39, 40, 41],
+    150: [37, 38, 39, 40],
+    160: [36, 37, 38, 39],
+    170: [35, 36, 37, 38],
+    180: [34, 35, 36, 37],
+    190: [33, 34, 35, 36],
+    200: [32, 33, 34, 35],
+    210: [31, 32, 33, 34],
+    220: [30, 31, 32, 33],
+    230: [29, 30, 31, 32],
+    240: [28, 29, 30, 31],
+    250: [27, 28, 29, 30],
+    260: [26, 27, 28, 29],
+    270: [25, 26, 27, 28],
+    280: [24, 25, 26, 27],
+    290: [23, 24, 25, 26],
+    300: [22, 23, 24, 25],
+    310: [20, 21, 22, 23, 24],
+    320: [19, 20, 21, 22, 23],
+    330: [18, 19, 20, 21],
+    340: [17, 18, 19, 20],
+    350: [15, 16, 17, 18, 19],
+    360: [14, 15, 16, 17, 18],
+    370: [13, 14, 15, 16],
+    380: [11, 12, 13, 14, 15],
+    390: [10, 11, 12, 13, 14],
+    400: [9, 10, 11, 12],
+    410: [8, 9, 10, 11],
+    420: [6, 7, 8, 9, 10],
+    430: [5, 6, 7, 8],
+    440: [3, 4, 5, 6, 7],
+    450: [2, 3, 4, 5, 6],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  550: {
+    0: [47, 48, 49],
+    10: [47, 48, 49],
+    20: [46, 47, 48],
+    30: [45, 46, 47, 48],
+    40: [45, 46, 47],
+    50: [44, 45, 46],
+    60: [43, 44, 45, 46],
+    70: [43, 44, 45],
+    80: [42, 43, 44],
+    90: [41, 42, 43, 44],
+    100: [40, 41, 42, 43],
+    110: [40, 41, 42],
+    120: [39, 40, 41],
+    130: [38, 39, 40, 41],
+    140: [37, 38, 39, 40],
+    150: [36, 37, 38, 39],
+    160: [35, 36, 37, 38],
+    170: [35, 36, 37],
+    180: [34, 35, 36],
+    190: [33, 34, 35],
+    200: [32, 33, 34, 35],
+    210: [31, 32, 33, 34],
+    220: [30, 31, 32, 33],
+    230: [29, 30, 31, 32],
+    240: [28, 29, 30, 31],
+    250: [27, 28, 29, 30],
+    260: [25, 26, 27, 28, 29],
+    270: [24, 25, 26, 27, 28],
+    280: [23, 24, 25, 26],
+    290: [22, 23, 24, 25],
+    300: [21, 22, 23, 24],
+    310: [20, 21, 22, 23],
+    320: [19, 20, 21, 22],
+    330: [18, 19, 20, 21],
+    340: [16, 17, 18, 19, 20],
+    350: [15, 16, 17, 18, 19],
+    360: [14, 15, 16, 17],
+    370: [13, 14, 15, 16],
+    380: [11, 12, 13, 14, 15],
+    390: [10, 11, 12, 13],
+    400: [9, 10, 11, 12],
+    410: [7, 8, 9, 10, 11],
+    420: [6, 7, 8, 9, 10],
+    430: [5, 6, 7, 8],
+    440: [3, 4, 5, 6, 7],
+    450: [2, 3, 4, 5, 6],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  560: {
+    0: [47, 48, 49],
+    10: [46, 47, 48],
+    20: [45, 46, 47, 48],
+    30: [45, 46, 47],
+    40: [44, 45, 46],
+    50: [43, 44, 45, 46],
+    60: [43, 44, 45],
+    70: [42, 43, 44],
+    80: [41, 42, 43, 44],
+    90: [41, 42, 43],
+    100: [40, 41, 42],
+    110: [39, 40, 41],
+    120: [38, 39, 40, 41],
+    130: [37, 38, 39, 40],
+    140: [37, 38, 39],
+    150: [36, 37, 38],
+    160: [35, 36, 37, 38],
+    170: [34, 35, 36, 37],
+    180: [33, 34, 35, 36],
+    190: [32, 33, 34, 35],
+    200: [31, 32, 33, 34],
+    210: [30, 31, 32, 33],
+    220: [29, 30, 31, 32],
+    230: [28, 29, 30, 31],
+    240: [27, 28, 29, 30],
+    250: [26, 27, 28, 29],
+    260: [25, 26, 27, 28],
+    270: [24, 25, 26, 27],
+    280: [23, 24, 25, 26],
+    290: [22, 23, 24, 25],
+    300: [21, 22, 23, 24],
+    310: [20, 21, 22, 23],
+    320: [18, 19, 20, 21, 22],
+    330: [17, 18, 19, 20, 21],
+    340: [16, 17, 18, 19],
+    350: [15, 16, 17, 18],
+    360: [14, 15, 16, 17],
+    370: [12, 13, 14, 15, 16],
+    380: [11, 12, 13, 14],
+    390: [10, 11, 12, 13],
+    400: [8, 9, 10, 11, 12],
+    410: [7, 8, 9, 10, 11],
+    420: [6, 7, 8, 9],
+    430: [5, 6, 7, 8],
+    440: [3, 4, 5, 6, 7],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  570: {
+    0: [46, 47, 48],
+    10: [45, 46, 47, 48],
+    20: [45, 46, 47],
+    30: [44, 45, 46],
+    40: [44, 45, 46],
+    50: [43, 44, 45],
+    60: [42, 43, 44],
+    70: [41, 42, 43, 44],
+    80: [41, 42, 43],
+    90: [40, 41, 42],
+    100: [39, 40, 41, 42],
+    110: [38, 39, 40, 41],
+    120: [38, 39, 40],
+    130: [37, 38, 39],
+    140: [36, 37, 38, 39],
+    150: [35, 36, 37, 38],
+    160: [34, 35, 36, 37],
+    170: [33, 34, 35, 36],
+    180: [32, 33, 34, 35],
+    190: [32, 33, 34],
+    200: [31, 32, 33],
+    210: [30, 31, 32, 33],
+    220: [29, 30, 31, 32],
+    230: [28, 29, 30, 31],
+    240: [27, 28, 29, 30],
+    250: [26, 27, 28, 29],
+    260: [25, 26, 27, 28],
+    270: [23, 24, 25, 26, 27],
+    280: [22, 23, 24, 25, 26],
+    290: [21, 22, 23, 24],
+    300: [20, 21, 22, 23],
+    310: [19, 20, 21, 22],
+    320: [18, 19, 20, 21],
+    330: [17, 18, 19, 20],
+    340: [16, 17, 18, 19],
+    350: [14, 15, 16, 17, 18],
+    360: [13, 14, 15, 16, 17],
+    370: [12, 13, 14, 15],
+    380: [11, 12, 13, 14],
+    390: [10, 11, 12, 13],
+    400: [8, 9, 10, 11, 12],
+    410: [7, 8, 9, 10],
+    420: [6, 7, 8, 9],
+    430: [5, 6, 7, 8],
+    440: [3, 4, 5, 6, 7],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  580: {
+    0: [46, 47, 48],
+    10: [45, 46, 47],
+    20: [44, 45, 46],
+    30: [44, 45, 46],
+    40: [43, 44, 45],
+    50: [42, 43, 44],
+    60: [42, 43, 44],
+    70: [41, 42, 43],
+    80: [40, 41, 42],
+    90: [39, 40, 41, 42],
+    100: [39, 40, 41],
+    110: [38, 39, 40],
+    120: [37, 38, 39, 40],
+    130: [36, 37, 38, 39],
+    140: [35, 36, 37, 38],
+    150: [35, 36, 37],
+    160: [34, 35, 36],
+    170: [33, 34, 35, 36],
+    180: [32, 33, 34, 35],
+    190: [31, 32, 33, 34],
+    200: [30, 31, 32, 33],
+    210: [29, 30, 31, 32],
+    220: [28, 29, 30, 31],
+    230: [27, 28, 29, 30],
+    240: [26, 27, 28, 29],
+    250: [25, 26, 27, 28],
+    260: [24, 25, 26, 27],
+    270: [23, 24, 25, 26],
+    280: [22, 23, 24, 25],
+    290: [21, 22, 23, 24],
+    300: [20, 21, 22, 23],
+    310: [19, 20, 21, 22],
+    320: [18, 19, 20, 21],
+    330: [16, 17, 18, 19, 20],
+    340: [15, 16, 17, 18, 19],
+    350: [14, 15, 16, 17],
+    360: [13, 14, 15, 16],
+    370: [12, 13, 14, 15],
+    380: [11, 12, 13, 14],
+    390: [9, 10, 11, 12, 13],
+    400: [8, 9, 10, 11, 12],
+    410: [7, 8, 9, 10],
+    420: [6, 7, 8, 9],
+    430: [4, 5, 6, 7, 8],
+    440: [3, 4, 5, 6, 7],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  590: {
+    0: [45, 46, 47],
+    10: [44, 45, 46],
+    20: [44, 45, 46],
+    30: [43, 44, 45],
+    40: [42, 43, 44],
+    50: [42, 43, 44],
+    60: [41, 42, 43],
+    70: [40, 41, 42, 43],
+    80: [40, 41, 42],
+    90: [39, 40, 41],
+    100: [38, 39, 40],
+    110: [37, 38, 39, 40],
+    120: [37, 38, 39],
+    130: [36, 37, 38],
+    140: [35, 36, 37],
+    150: [34, 35, 36],
+    160: [33, 34, 35, 36],
+    170: [32, 33, 34, 35],
+    180: [31, 32, 33, 34],
+    190: [31, 32, 33],
+    200: [30, 31, 32],
+    210: [29, 30, 31],
+    220: [28, 29, 30],
+    230: [27, 28, 29],
+    240: [26, 27, 28, 29],
+    250: [25, 26, 27, 28],
+    260: [24, 25, 26, 27],
+    270: [23, 24, 25, 26],
+    280: [22, 23, 24, 25],
+    290: [21, 22, 23, 24],
+    300: [20, 21, 22],
+    310: [18, 19, 20, 21],
+    320: [17, 18, 19, 20],
+    330: [16, 17, 18, 19],
+    340: [15, 16, 17, 18],
+    350: [14, 15, 16, 17],
+    360: [13, 14, 15, 16],
+    370: [12, 13, 14, 15],
+    380: [10, 11, 12, 13, 14],
+    390: [9, 10, 11, 12],
+    400: [8, 9, 10, 11],
+    410: [7, 8, 9, 10],
+    420: [6, 7, 8, 9],
+    430: [5, 6, 7, 8],
+    440: [3, 4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  600: {
+    0: [44, 45, 46],
+    10: [44, 45, 46],
+    20: [43, 44, 45],
+    30: [43, 44],
+    40: [42, 43, 44],
+    50: [41, 42, 43],
+    60: [40, 41, 42, 43],
+    70: [40, 41, 42],
+    80: [39, 40, 41],
+    90: [38, 39, 40],
+    100: [37, 38, 39, 40],
+    110: [37, 38, 39],
+    120: [36, 37, 38],
+    130: [35, 36, 37, 38],
+    140: [34, 35, 36, 37],
+    150: [33, 34, 35, 36],
+    160: [33, 34, 35],
+    170: [32, 33, 34],
+    180: [31, 32, 33, 34],
+    190: [30, 31, 32, 33],
+    200: [29, 30, 31, 32],
+    210: [28, 29, 30, 31],
+    220: [27, 28, 29, 30],
+    230: [26, 27, 28, 29],
+    240: [25, 26, 27, 28],
+    250: [24, 25, 26, 27],
+    260: [23, 24, 25, 26],
+    270: [22, 23, 24, 25],
+    280: [21, 22, 23, 24],
+    290: [20, 21, 22, 23],
+    300: [19, 20, 21, 22],
+    310: [18, 19, 20, 21],
+    320: [17, 18, 19, 20],
+    330: [16, 17, 18, 19],
+    340: [15, 16, 17, 18],
+    350: [14, 15, 16, 17],
+    360: [12, 13, 14, 15, 16],
+    370: [11, 12, 13, 14, 15],
+    380: [10, 11, 12, 13],
+    390: [9, 10, 11, 12],
+    400: [8, 9, 10, 11],
+    410: [7, 8, 9, 10],
+    420: [6, 7, 8, 9],
+    430: [4, 5, 6, 7, 8],
+    440: [3, 4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  610: {
+    0: [44, 45, 46],
+    10: [43, 44, 45],
+    20: [43, 44, 45],
+    30: [42, 43, 44],
+    40: [41, 42, 43],
+    50: [41, 42, 43],
+    60: [40, 41, 42],
+    70: [39, 40, 41],
+    80: [39, 40, 41],
+    90: [38, 39, 40],
+    100: [37, 38, 39],
+    110: [36, 37, 38],
+    120: [35, 36, 37, 38],
+    130: [35, 36, 37],
+    140: [34, 35, 36],
+    150: [33, 34, 35],
+    160: [32, 33, 34, 35],
+    170: [31, 32, 33, 34],
+    180: [30, 31, 32, 33],
+    190: [30, 31, 32],
+    200: [29, 30, 31],
+    210: [28, 29, 30],
+    220: [27, 28, 29],
+    230: [26, 27, 28, 29],
+    240: [25, 26, 27, 28],
+    250: [24, 25, 26, 27],
+    260: [23, 24, 25, 26],
+    270: [22, 23, 24, 25],
+    280: [21, 22, 23, 24],
+    290: [20, 21, 22, 23],
+    300: [19, 20, 21, 22],
+    310: [18, 19, 20, 21],
+    320: [17, 18, 19, 20],
+    330: [16, 17, 18, 19],
+    340: [15, 16, 17, 18],
+    350: [13, 14, 15, 16],
+    360: [12, 13, 14, 15],
+    370: [11, 12, 13, 14],
+    380: [10, 11, 12, 13],
+    390: [9, 10, 11, 12],
+    400: [8, 9, 10, 11],
+    410: [7, 8, 9, 10],
+    420: [5, 6, 7, 8, 9],
+    430: [4, 5, 6, 7],
+    440: [3, 4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  620: {
+    0: [43, 44, 45],
+    10: [43, 44, 45],
+    20: [42, 43, 44],
+    30: [41, 42, 43],
+    40: [41, 42, 43],
+    50: [40, 41, 42],
+    60: [39, 40, 41],
+    70: [39, 40, 41],
+    80: [38, 39, 40],
+    90: [37, 38, 39],
+    100: [36, 37, 38, 39],
+    110: [36, 37, 38],
+    120: [35, 36, 37],
+    130: [34, 35, 36],
+    140: [33, 34, 35, 36],
+    150: [32, 33, 34, 35],
+    160: [32, 33, 34],
+    170: [31, 32, 33],
+    180: [30, 31, 32],
+    190: [29, 30, 31, 32],
+    200: [28, 29, 30, 31],
+    210: [27, 28, 29, 30],
+    220: [26, 27, 28, 29],
+    230: [25, 26, 27, 28],
+    240: [24, 25, 26, 27],
+    250: [24, 25, 26],
+    260: [23, 24, 25],
+    270: [22, 23, 24],
+    280: [21, 22, 23],
+    290: [20, 21, 22],
+    300: [19, 20, 21],
+    310: [17, 18, 19, 20],
+    320: [16, 17, 18, 19],
+    330: [15, 16, 17, 18],
+    340: [14, 15, 16, 17],
+    350: [13, 14, 15, 16],
+    360: [12, 13, 14, 15],
+    370: [11, 12, 13, 14],
+    380: [10, 11, 12, 13],
+    390: [9, 10, 11, 12],
+    400: [8, 9, 10, 11],
+    410: [7, 8, 9],
+    420: [6, 7, 8],
+    430: [4, 5, 6, 7],
+    440: [3, 4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  630: {
+    0: [43, 44, 45],
+    10: [42, 43, 44],
+    20: [42, 43],
+    30: [41, 42, 43],
+    40: [40, 41, 42],
+    50: [39, 40, 41, 42],
+    60: [39, 40, 41],
+    70: [38, 39, 40],
+    80: [37, 38, 39, 40],
+    90: [37, 38, 39],
+    100: [36, 37, 38],
+    110: [35, 36, 37],
+    120: [34, 35, 36, 37],
+    130: [34, 35, 36],
+    140: [33, 34, 35],
+    150: [32, 33, 34],
+    160: [31, 32, 33, 34],
+    170: [30, 31, 32, 33],
+    180: [30, 31, 32],
+    190: [29, 30, 31],
+    200: [28, 29, 30],
+    210: [27, 28, 29],
+    220: [26, 27, 28, 29],
+    230: [25, 26, 27, 28],
+    240: [24, 25, 26, 27],
+    250: [23, 24, 25, 26],
+    260: [22, 23, 24, 25],
+    270: [21, 22, 23, 24],
+    280: [20, 21, 22, 23],
+    290: [19, 20, 21, 22],
+    300: [18, 19, 20, 21],
+    310: [17, 18, 19, 20],
+    320: [16, 17, 18, 19],
+    330: [15, 16, 17, 18],
+    340: [14, 15, 16, 17],
+    350: [13, 14, 15, 16],
+    360: [12, 13, 14, 15],
+    370: [11, 12, 13, 14],
+    380: [10, 11, 12, 13],
+    390: [9, 10, 11],
+    400: [8, 9, 10],
+    410: [6, 7, 8, 9],
+    420: [5, 6, 7, 8],
+    430: [4, 5, 6, 7],
+    440: [3, 4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  640: {
+    0: [42, 43, 44],
+    10: [42, 43, 44],
+    20: [41, 42, 43],
+    30: [40, 41, 42],
+    40: [40, 41, 42],
+    50: [39, 40, 41],
+    60: [38, 39, 40],
+    70: [38, 39, 40],
+    80: [37, 38, 39],
+    90: [36, 37, 38],
+    100: [35, 36, 37, 38],
+    110: [35, 36, 37],
+    120: [34, 35, 36],
+    130: [33, 34, 35],
+    140: [32, 33, 34, 35],
+    150: [32, 33, 34],
+    160: [31, 32, 33],
+    170: [30, 31, 32],
+    180: [29, 30, 31],
+    190: [28, 29, 30, 31],
+    200: [27, 28, 29, 30],
+    210: [26, 27, 28, 29],
+    220: [26, 27, 28],
+    230: [25, 26, 27],
+    240: [24, 25, 26],
+    250: [23, 24, 25],
+    260: [22, 23, 24],
+    270: [21, 22, 23],
+    280: [20, 21, 22, 23],
+    290: [19, 20, 21, 22],
+    300: [18, 19, 20, 21],
+    310: [17, 18, 19, 20],
+    320: [16, 17, 18, 19],
+    330: [15, 16, 17, 18],
+    340: [14, 15, 16, 17],
+    350: [13, 14, 15, 16],
+    360: [12, 13, 14],
+    370: [11, 12, 13],
+    380: [10, 11, 12],
+    390: [9, 10, 11],
+    400: [7, 8, 9, 10],
+    410: [6, 7, 8, 9],
+    420: [5, 6, 7, 8],
+    430: [4, 5, 6, 7],
+    440: [3, 4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  650: {
+    0: [42, 43, 44],
+    10: [41, 42, 43],
+    20: [40, 41, 42],
+    30: [40, 41, 42],
+    40: [39, 40, 41],
+    50: [39, 40],
+    60: [38, 39, 40],
+    70: [37, 38, 39],
+    80: [36, 37, 38],
+    90: [36, 37, 38],
+    100: [35, 36, 37],
+    110: [34, 35, 36],
+    120: [33, 34, 35, 36],
+    130: [33, 34, 35],
+    140: [32, 33, 34],
+    150: [31, 32, 33],
+    160: [30, 31, 32, 33],
+    170: [29, 30, 31, 32],
+    180: [29, 30, 31],
+    190: [28, 29, 30],
+    200: [27, 28, 29],
+    210: [26, 27, 28],
+    220: [25, 26, 27, 28],
+    230: [24, 25, 26, 27],
+    240: [23, 24, 25, 26],
+    250: [23, 24, 25],
+    260: [22, 23, 24],
+    270: [21, 22, 23],
+    280: [20, 21, 22],
+    290: [19, 20, 21],
+    300: [18, 19, 20],
+    310: [17, 18, 19],
+    320: [16, 17, 18],
+    330: [15, 16, 17],
+    340: [14, 15, 16],
+    350: [13, 14, 15],
+    360: [12, 13, 14],
+    370: [10, 11, 12, 13],
+    380: [9, 10, 11, 12],
+    390: [8, 9, 10, 11],
+    400: [7, 8, 9, 10],
+    410: [6, 7, 8, 9],
+    420: [5, 6, 7, 8],
+    430: [4, 5, 6, 7],
+    440: [3, 4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  660: {
+    0: [41, 42, 43],
+    10: [41, 42],
+    20: [40, 41, 42],
+    30: [39, 40, 41],
+    40: [39, 40, 41],
+    50: [38, 39, 40],
+    60: [37, 38, 39],
+    70: [37, 38, 39],
+    80: [36, 37, 38],
+    90: [35, 36, 37],
+    100: [35, 36, 37],
+    110: [34, 35, 36],
+    120: [33, 34, 35],
+    130: [32, 33, 34],
+    140: [31, 32, 33, 34],
+    150: [31, 32, 33],
+    160: [30, 31, 32],
+    170: [29, 30, 31],
+    180: [28, 29, 30],
+    190: [27, 28, 29, 30],
+    200: [27, 28, 29],
+    210: [26, 27, 28],
+    220: [25, 26, 27],
+    230: [24, 25, 26],
+    240: [23, 24, 25],
+    250: [22, 23, 24, 25],
+    260: [21, 22, 23, 24],
+    270: [20, 21, 22, 23],
+    280: [19, 20, 21, 22],
+    290: [18, 19, 20, 21],
+    300: [17, 18, 19, 20],
+    310: [16, 17, 18, 19],
+    320: [16, 17, 18],
+    330: [14, 15, 16, 17],
+    340: [13, 14, 15, 16],
+    350: [12, 13, 14, 15],
+    360: [11, 12, 13, 14],
+    370: [10, 11, 12, 13],
+    380: [9, 10, 11, 12],
+    390: [8, 9, 10, 11],
+    400: [7, 8, 9, 10],
+    410: [6, 7, 8, 9],
+    420: [5, 6, 7, 8],
+    430: [4, 5, 6, 7],
+    440: [3, 4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0, 1]
+  },
+  670: {
+    0: [41, 42, 43],
+    10: [40, 41, 42],
+    20: [39, 40, 41],
+    30: [39, 40, 41],
+    40: [38, 39, 40],
+    50: [38, 39],
+    60: [37, 38, 39],
+    70: [36, 37, 38],
+    80: [35, 36, 37],
+    90: [35, 36, 37],
+    100: [34, 35, 36],
+    110: [33, 34, 35],
+    120: [33, 34, 35],
+    130: [32, 33, 34],
+    140: [31, 32, 33],
+    150: [30, 31, 32],
+    160: [29, 30, 31, 32],
+    170: [29, 30, 31],
+    180: [28, 29, 30],
+    190: [27, 28, 29],
+    200: [26, 27, 28],
+    210: [25, 26, 27, 28],
+    220: [24, 25, 26, 27],
+    230: [24, 25, 26],
+    240: [23, 24, 25],
+    250: [22, 23, 24],
+    260: [21, 22, 23],
+    270: [20, 21, 22],
+    280: [19, 20, 21, 22],
+    290: [18, 19, 20, 21],
+    300: [17, 18, 19, 20],
+    310: [16, 17, 18, 19],
+    320: [15, 16, 17, 18],
+    330: [14, 15, 16, 17],
+    340: [13, 14, 15, 16],
+    350: [12, 13, 14, 15],
+    360: [11, 12, 13, 14],
+    370: [10, 11, 12, 13],
+    380: [9, 10, 11, 12],
+    390: [8, 9, 10, 11],
+    400: [7, 8, 9, 10],
+    410: [6, 7, 8, 9],
+    420: [5, 6, 7, 8],
+    430: [4, 5, 6, 7],
+    440: [3, 4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1],
+    490: [0]
+  },
+  680: {
+    0: [40, 41, 42],
+    10: [40, 41],
+    20: [39, 40, 41],
+    30: [38, 39, 40],
+    40: [38, 39, 40],
+    50: [37, 38, 39],
+    60: [36, 37, 38],
+    70: [36, 37, 38],
+    80: [35, 36, 37],
+    90: [34, 35, 36],
+    100: [34, 35, 36],
+    110: [33, 34, 35],
+    120: [32, 33, 34],
+    130: [31, 32, 33],
+    140: [31, 32, 33],
+    150: [30, 31, 32],
+    160: [29, 30, 31],
+    170: [28, 29, 30],
+    180: [27, 28, 29, 30],
+    190: [27, 28, 29],
+    200: [26, 27, 28],
+    210: [25, 26, 27],
+    220: [24, 25, 26],
+    230: [23, 24, 25, 26],
+    240: [22, 23, 24, 25],
+    250: [22, 23, 24],
+    260: [21, 22, 23],
+    270: [20, 21, 22],
+    280: [19, 20, 21],
+    290: [18, 19, 20],
+    300: [17, 18, 19],
+    310: [16, 17, 18],
+    320: [15, 16, 17],
+    330: [14, 15, 16, 17],
+    340: [13, 14, 15],
+    350: [12, 13, 14, 15],
+    360: [11, 12, 13, 14],
+    370: [10, 11, 12, 13],
+    380: [9, 10, 11, 12],
+    390: [8, 9, 10, 11],
+    400: [7, 8, 9, 10],
+    410: [6, 7, 8, 9],
+    420: [5, 6, 7, 8],
+    430: [4, 5, 6, 7],
+    440: [3, 4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1],
+    490: [0]
+  },
+  690: {
+    0: [40, 41],
+    10: [39, 40, 41],
+    20: [39, 40],
+    30: [38, 39, 40],
+    40: [37, 38, 39],
+    50: [37, 38],
+    60: [36, 37, 38],
+    70: [35, 36, 37],
+    80: [35, 36],
+    90: [34, 35, 36],
+    100: [33, 34, 35],
+    110: [32, 33, 34],
+    120: [32, 33, 34],
+    130: [31, 32, 33],
+    140: [30, 31, 32],
+    150: [30, 31],
+    160: [29, 30, 31],
+    170: [28, 29, 30],
+    180: [27, 28, 29],
+    190: [26, 27, 28],
+    200: [25, 26, 27, 28],
+    210: [25, 26, 27],
+    220: [24, 25, 26],
+    230: [23, 24, 25],
+    240: [22, 23, 24],
+    250: [21, 22, 23],
+    260: [20, 21, 22, 23],
+    270: [19, 20, 21, 22],
+    280: [19, 20, 21],
+    290: [18, 19, 20],
+    300: [17, 18, 19],
+    310: [16, 17, 18],
+    320: [15, 16, 17],
+    330: [14, 15, 16],
+    340: [13, 14, 15],
+    350: [12, 13, 14],
+    360: [11, 12, 13],
+    370: [10, 11, 12],
+    380: [9, 10, 11],
+    390: [8, 9, 10],
+    400: [7, 8, 9],
+    410: [6, 7, 8],
+    420: [5, 6, 7, 8],
+    430: [4, 5, 6, 7],
+    440: [3, 4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 2],
+    490: [0, 1],
+    500: [0]
+  },
+  700: {
+    0: [39, 40, 41],
+    10: [39, 40],
+    20: [38, 39, 40],
+    30: [37, 38, 39],
+    40: [37, 38, 39],
+    50: [36, 37, 38],
+    60: [36, 37],
+    70: [35, 36, 37],
+    80: [34, 35, 36],
+    90: [34, 35],
+    100: [33, 34, 35],
+    110: [32, 33, 34],
+    120: [31, 32, 33],
+    130: [31, 32, 33],
+    140: [30, 31, 32],
+    150: [29, 30, 31],
+    160: [28, 29, 30],
+    170: [28, 29, 30],
+    180: [27, 28, 29],
+    190: [26, 27, 28],
+    200: [25, 26, 27],
+    210: [24, 25, 26],
+    220: [23, 24, 25, 26],
+    230: [23, 24, 25],
+    240: [22, 23, 24],
+    250: [21, 22, 23],
+    260: [20, 21, 22],
+    270: [19, 20, 21],
+    280: [18, 19, 20, 21],
+    290: [17, 18, 19, 20],
+    300: [16, 17, 18, 19],
+    310: [16, 17, 18],
+    320: [15, 16, 17],
+    330: [14, 15, 16],
+    340: [13, 14, 15],
+    350: [12, 13, 14],
+    360: [11, 12, 13],
+    370: [10, 11, 12],
+    380: [9, 10, 11],
+    390: [8, 9, 10],
+    400: [7, 8, 9],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 2],
+    490: [0, 1],
+    500: [0]
+  },
+  710: {
+    0: [39, 40, 41],
+    10: [38, 39, 40],
+    20: [38, 39],
+    30: [37, 38, 39],
+    40: [36, 37, 38],
+    50: [36, 37, 38],
+    60: [35, 36, 37],
+    70: [34, 35, 36],
+    80: [34, 35, 36],
+    90: [33, 34, 35],
+    100: [32, 33, 34],
+    110: [32, 33, 34],
+    120: [31, 32, 33],
+    130: [30, 31, 32],
+    140: [29, 30, 31],
+    150: [29, 30, 31],
+    160: [28, 29, 30],
+    170: [27, 28, 29],
+    180: [26, 27, 28],
+    190: [26, 27, 28],
+    200: [25, 26, 27],
+    210: [24, 25, 26],
+    220: [23, 24, 25],
+    230: [22, 23, 24],
+    240: [21, 22, 23, 24],
+    250: [21, 22, 23],
+    260: [20, 21, 22],
+    270: [19, 20, 21],
+    280: [18, 19, 20],
+    290: [17, 18, 19],
+    300: [16, 17, 18],
+    310: [15, 16, 17, 18],
+    320: [14, 15, 16, 17],
+    330: [13, 14, 15, 16],
+    340: [13, 14, 15],
+    350: [12, 13, 14],
+    360: [11, 12, 13],
+    370: [10, 11, 12],
+    380: [9, 10, 11],
+    390: [8, 9, 10],
+    400: [7, 8, 9],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0],
+    500: [0]
+  },
+  720: {
+    0: [38, 39, 40],
+    10: [38, 39],
+    20: [37, 38, 39],
+    30: [37, 38],
+    40: [36, 37, 38],
+    50: [35, 36, 37],
+    60: [35, 36],
+    70: [34, 35, 36],
+    80: [33, 34, 35],
+    90: [33, 34],
+    100: [32, 33, 34],
+    110: [31, 32, 33],
+    120: [31, 32],
+    130: [30, 31, 32],
+    140: [29, 30, 31],
+    150: [28, 29, 30],
+    160: [28, 29, 30],
+    170: [27, 28, 29],
+    180: [26, 27, 28],
+    190: [25, 26, 27],
+    200: [24, 25, 26],
+    210: [24, 25, 26],
+    220: [23, 24, 25],
+    230: [22, 23, 24],
+    240: [21, 22, 23],
+    250: [20, 21, 22],
+    260: [19, 20, 21, 22],
+    270: [19, 20, 21],
+    280: [18, 19, 20],
+    290: [17, 18, 19],
+    300: [16, 17, 18],
+    310: [15, 16, 17],
+    320: [14, 15, 16],
+    330: [13, 14, 15],
+    340: [12, 13, 14, 15],
+    350: [11, 12, 13, 14],
+    360: [10, 11, 12, 13],
+    370: [10, 11, 12],
+    380: [9, 10, 11],
+    390: [8, 9, 10],
+    400: [7, 8, 9],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 2],
+    490: [0, 1],
+    500: [0]
+  },
+  730: {
+    0: [38, 39, 40],
+    10: [37, 38, 39],
+    20: [37, 38],
+    30: [36, 37, 38],
+    40: [36, 37],
+    50: [35, 36, 37],
+    60: [34, 35, 36],
+    70: [34, 35],
+    80: [33, 34, 35],
+    90: [32, 33, 34],
+    100: [32, 33],
+    110: [31, 32, 33],
+    120: [30, 31, 32],
+    130: [29, 30, 31],
+    140: [29, 30, 31],
+    150: [28, 29, 30],
+    160: [27, 28, 29],
+    170: [26, 27, 28],
+    180: [26, 27, 28],
+    190: [25, 26, 27],
+    200: [24, 25, 26],
+    210: [23, 24, 25],
+    220: [23, 24, 25],
+    230: [22, 23, 24],
+    240: [21, 22, 23],
+    250: [20, 21, 22],
+    260: [19, 20, 21],
+    270: [18, 19, 20],
+    280: [17, 18, 19, 20],
+    290: [17, 18, 19],
+    300: [16, 17, 18],
+    310: [15, 16, 17],
+    320: [14, 15, 16],
+    330: [13, 14, 15],
+    340: [12, 13, 14],
+    350: [11, 12, 13, 14],
+    360: [10, 11, 12, 13],
+    370: [10, 11, 12],
+    380: [9, 10, 11],
+    390: [8, 9, 10],
+    400: [7, 8, 9],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 2],
+    490: [0, 1],
+    500: [0]
+  },
+  740: {
+    0: [38, 39],
+    10: [37, 38, 39],
+    20: [36, 37, 38],
+    30: [36, 37],
+    40: [35, 36, 37],
+    50: [35, 36],
+    60: [34, 35, 36],
+    70: [33, 34, 35],
+    80: [33, 34],
+    90: [32, 33, 34],
+    100: [31, 32, 33],
+    110: [31, 32],
+    120: [30, 31, 32],
+    130: [29, 30, 31],
+    140: [28, 29, 30],
+    150: [28, 29, 30],
+    160: [27, 28, 29],
+    170: [26, 27, 28],
+    180: [25, 26, 27],
+    190: [25, 26, 27],
+    200: [24, 25, 26],
+    210: [23, 24, 25],
+    220: [22, 23, 24],
+    230: [21, 22, 23],
+    240: [21, 22, 23],
+    250: [20, 21, 22],
+    260: [19, 20, 21],
+    270: [18, 19, 20],
+    280: [17, 18, 19],
+    290: [16, 17, 18, 19],
+    300: [16, 17, 18],
+    310: [15, 16, 17],
+    320: [14, 15, 16],
+    330: [13, 14, 15],
+    340: [12, 13, 14],
+    350: [11, 12, 13],
+    360: [10, 11, 12],
+    370: [9, 10, 11, 12],
+    380: [8, 9, 10, 11],
+    390: [8, 9, 10],
+    400: [7, 8, 9],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0],
+    500: [0]
+  },
+  750: {
+    0: [37, 38, 39],
+    10: [37, 38],
+    20: [36, 37, 38],
+    30: [35, 36, 37],
+    40: [35, 36],
+    50: [34, 35, 36],
+    60: [33, 34, 35],
+    70: [33, 34, 35],
+    80: [32, 33, 34],
+    90: [31, 32, 33],
+    100: [31, 32, 33],
+    110: [30, 31, 32],
+    120: [29, 30, 31],
+    130: [29, 30, 31],
+    140: [28, 29, 30],
+    150: [27, 28, 29],
+    160: [27, 28],
+    170: [26, 27, 28],
+    180: [25, 26, 27],
+    190: [24, 25, 26],
+    200: [24, 25],
+    210: [23, 24, 25],
+    220: [22, 23, 24],
+    230: [21, 22, 23],
+    240: [20, 21, 22],
+    250: [20, 21, 22],
+    260: [19, 20, 21],
+    270: [18, 19, 20],
+    280: [17, 18, 19],
+    290: [16, 17, 18],
+    300: [15, 16, 17],
+    310: [14, 15, 16, 17],
+    320: [14, 15, 16],
+    330: [13, 14, 15],
+    340: [12, 13, 14],
+    350: [11, 12, 13],
+    360: [10, 11, 12],
+    370: [9, 10, 11],
+    380: [8, 9, 10, 11],
+    390: [7, 8, 9, 10],
+    400: [7, 8, 9],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [0, 1, 2],
+    490: [0, 1]
+  },
+  760: {
+    0: [37, 38],
+    10: [36, 37, 38],
+    20: [36, 37],
+    30: [35, 36, 37],
+    40: [34, 35, 36],
+    50: [34, 35],
+    60: [33, 34, 35],
+    70: [32, 33, 34],
+    80: [32, 33],
+    90: [31, 32, 33],
+    100: [30, 31, 32],
+    110: [30, 31, 32],
+    120: [29, 30, 31],
+    130: [28, 29, 30],
+    140: [28, 29],
+    150: [27, 28, 29],
+    160: [26, 27, 28],
+    170: [26, 27],
+    180: [25, 26, 27],
+    190: [24, 25, 26],
+    200: [23, 24, 25],
+    210: [22, 23, 24],
+    220: [22, 23, 24],
+    230: [21, 22, 23],
+    240: [20, 21, 22],
+    250: [19, 20, 21],
+    260: [18, 19, 20],
+    270: [18, 19, 20],
+    280: [17, 18, 19],
+    290: [16, 17, 18],
+    300: [15, 16, 17],
+    310: [14, 15, 16],
+    320: [14, 15],
+    330: [13, 14, 15],
+    340: [12, 13, 14],
+    350: [11, 12, 13],
+    360: [10, 11, 12],
+    370: [9, 10, 11],
+    380: [8, 9, 10],
+    390: [7, 8, 9],
+    400: [7, 8, 9],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  770: {
+    0: [36, 37, 38],
+    10: [36, 37],
+    20: [35, 36, 37],
+    30: [35, 36],
+    40: [34, 35, 36],
+    50: [33, 34, 35],
+    60: [33, 34],
+    70: [32, 33, 34],
+    80: [31, 32, 33],
+    90: [31, 32],
+    100: [30, 31, 32],
+    110: [29, 30, 31],
+    120: [29, 30],
+    130: [28, 29, 30],
+    140: [27, 28, 29],
+    150: [27, 28],
+    160: [26, 27, 28],
+    170: [25, 26, 27],
+    180: [24, 25, 26],
+    190: [24, 25],
+    200: [23, 24, 25],
+    210: [22, 23, 24],
+    220: [21, 22, 23],
+    230: [21, 22, 23],
+    240: [20, 21, 22],
+    250: [19, 20, 21],
+    260: [18, 19, 20],
+    270: [17, 18, 19],
+    280: [17, 18, 19],
+    290: [16, 17, 18],
+    300: [15, 16, 17],
+    310: [14, 15, 16],
+    320: [13, 14, 15],
+    330: [12, 13, 14, 15],
+    340: [12, 13, 14],
+    350: [11, 12, 13],
+    360: [10, 11, 12],
+    370: [9, 10, 11],
+    380: [8, 9, 10],
+    390: [7, 8, 9],
+    400: [6, 7, 8, 9],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [1],
+    490: [1]
+  },
+  780: {
+    0: [36, 37, 38],
+    10: [35, 36, 37],
+    20: [35, 36],
+    30: [34, 35, 36],
+    40: [34, 35],
+    50: [33, 34, 35],
+    60: [32, 33, 34],
+    70: [32, 33],
+    80: [31, 32, 33],
+    90: [30, 31, 32],
+    100: [30, 31],
+    110: [29, 30, 31],
+    120: [28, 29, 30],
+    130: [28, 29],
+    140: [27, 28, 29],
+    150: [26, 27, 28],
+    160: [26, 27],
+    170: [25, 26, 27],
+    180: [24, 25, 26],
+    190: [23, 24, 25],
+    200: [23, 24, 25],
+    210: [22, 23, 24],
+    220: [21, 22, 23],
+    230: [20, 21, 22],
+    240: [20, 21],
+    250: [19, 20, 21],
+    260: [18, 19, 20],
+    270: [17, 18, 19],
+    280: [16, 17, 18],
+    290: [16, 17, 18],
+    300: [15, 16, 17],
+    310: [14, 15, 16],
+    320: [13, 14, 15],
+    330: [12, 13, 14],
+    340: [12, 13],
+    350: [11, 12, 13],
+    360: [10, 11, 12],
+    370: [9, 10, 11],
+    380: [8, 9, 10],
+    390: [7, 8, 9],
+    400: [6, 7, 8],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [1],
+    490: [1]
+  },
+  790: {
+    0: [36, 37],
+    10: [35, 36, 37],
+    20: [34, 35, 36],
+    30: [34, 35],
+    40: [33, 34, 35],
+    50: [33, 34],
+    60: [32, 33, 34],
+    70: [31, 32, 33],
+    80: [31, 32],
+    90: [30, 31, 32],
+    100: [29, 30, 31],
+    110: [29, 30],
+    120: [28, 29, 30],
+    130: [27, 28, 29],
+    140: [27, 28],
+    150: [26, 27, 28],
+    160: [25, 26, 27],
+    170: [25, 26],
+    180: [24, 25, 26],
+    190: [23, 24, 25],
+    200: [22, 23, 24],
+    210: [22, 23],
+    220: [21, 22, 23],
+    230: [20, 21, 22],
+    240: [19, 20, 21],
+    250: [19, 20],
+    260: [18, 19, 20],
+    270: [17, 18, 19],
+    280: [16, 17, 18],
+    290: [15, 16, 17],
+    300: [15, 16, 17],
+    310: [14, 15, 16],
+    320: [13, 14, 15],
+    330: [12, 13, 14],
+    340: [11, 12, 13],
+    350: [11, 12, 13],
+    360: [10, 11, 12],
+    370: [9, 10, 11],
+    380: [8, 9, 10],
+    390: [7, 8, 9],
+    400: [6, 7, 8],
+    410: [6, 7],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  800: {
+    0: [35, 36, 37],
+    10: [35, 36],
+    20: [34, 35, 36],
+    30: [34, 35],
+    40: [33, 34],
+    50: [32, 33, 34],
+    60: [32, 33],
+    70: [31, 32, 33],
+    80: [30, 31, 32],
+    90: [30, 31],
+    100: [29, 30, 31],
+    110: [28, 29, 30],
+    120: [28, 29],
+    130: [27, 28, 29],
+    140: [26, 27, 28],
+    150: [26, 27],
+    160: [25, 26, 27],
+    170: [24, 25, 26],
+    180: [24, 25],
+    190: [23, 24, 25],
+    200: [22, 23, 24],
+    210: [21, 22, 23],
+    220: [21, 22],
+    230: [20, 21, 22],
+    240: [19, 20, 21],
+    250: [18, 19, 20],
+    260: [18, 19],
+    270: [17, 18, 19],
+    280: [16, 17, 18],
+    290: [15, 16, 17],
+    300: [14, 15, 16],
+    310: [14, 15, 16],
+    320: [13, 14, 15],
+    330: [12, 13, 14],
+    340: [11, 12, 13],
+    350: [10, 11, 12],
+    360: [10, 11, 12],
+    370: [9, 10, 11],
+    380: [8, 9, 10],
+    390: [7, 8, 9],
+    400: [6, 7, 8],
+    410: [5, 6, 7],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  810: {
+    0: [35, 36],
+    10: [34, 35, 36],
+    20: [34, 35],
+    30: [33, 34, 35],
+    40: [33, 34],
+    50: [32, 33],
+    60: [31, 32, 33],
+    70: [31, 32],
+    80: [30, 31, 32],
+    90: [29, 30, 31],
+    100: [29, 30],
+    110: [28, 29, 30],
+    120: [27, 28, 29],
+    130: [27, 28],
+    140: [26, 27, 28],
+    150: [25, 26, 27],
+    160: [25, 26],
+    170: [24, 25, 26],
+    180: [23, 24, 25],
+    190: [23, 24],
+    200: [22, 23, 24],
+    210: [21, 22, 23],
+    220: [20, 21, 22],
+    230: [20, 21],
+    240: [19, 20, 21],
+    250: [18, 19, 20],
+    260: [17, 18, 19],
+    270: [17, 18],
+    280: [16, 17, 18],
+    290: [15, 16, 17],
+    300: [14, 15, 16],
+    310: [14, 15],
+    320: [13, 14, 15],
+    330: [12, 13, 14],
+    340: [11, 12, 13],
+    350: [10, 11, 12],
+    360: [10, 11],
+    370: [9, 10, 11],
+    380: [8, 9, 10],
+    390: [7, 8, 9],
+    400: [6, 7, 8],
+    410: [5, 6, 7],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  820: {
+    0: [35, 36],
+    10: [34, 35],
+    20: [33, 34, 35],
+    30: [33, 34],
+    40: [32, 33, 34],
+    50: [32, 33],
+    60: [31, 32, 33],
+    70: [30, 31, 32],
+    80: [30, 31],
+    90: [29, 30, 31],
+    100: [28, 29, 30],
+    110: [28, 29],
+    120: [27, 28, 29],
+    130: [26, 27, 28],
+    140: [26, 27],
+    150: [25, 26, 27],
+    160: [24, 25, 26],
+    170: [24, 25],
+    180: [23, 24, 25],
+    190: [22, 23, 24],
+    200: [22, 23],
+    210: [21, 22, 23],
+    220: [20, 21, 22],
+    230: [19, 20, 21],
+    240: [19, 20],
+    250: [18, 19, 20],
+    260: [17, 18, 19],
+    270: [16, 17, 18],
+    280: [16, 17],
+    290: [15, 16, 17],
+    300: [14, 15, 16],
+    310: [13, 14, 15],
+    320: [13, 14],
+    330: [12, 13, 14],
+    340: [11, 12, 13],
+    350: [10, 11, 12],
+    360: [9, 10, 11],
+    370: [9, 10],
+    380: [8, 9, 10],
+    390: [7, 8, 9],
+    400: [6, 7, 8],
+    410: [5, 6, 7],
+    420: [5, 6],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  830: {
+    0: [34, 35, 36],
+    10: [34, 35],
+    20: [33, 34],
+    30: [32, 33, 34],
+    40: [32, 33],
+    50: [31, 32, 33],
+    60: [31, 32],
+    70: [30, 31, 32],
+    80: [29, 30, 31],
+    90: [29, 30],
+    100: [28, 29, 30],
+    110: [28, 29],
+    120: [27, 28],
+    130: [26, 27, 28],
+    140: [26, 27],
+    150: [25, 26],
+    160: [24, 25, 26],
+    170: [24, 25],
+    180: [23, 24],
+    190: [22, 23, 24],
+    200: [21, 22, 23],
+    210: [21, 22],
+    220: [20, 21, 22],
+    230: [19, 20, 21],
+    240: [19, 20],
+    250: [18, 19, 20],
+    260: [17, 18, 19],
+    270: [16, 17, 18],
+    280: [16, 17],
+    290: [15, 16, 17],
+    300: [14, 15, 16],
+    310: [13, 14, 15],
+    320: [13, 14],
+    330: [12, 13],
+    340: [11, 12, 13],
+    350: [10, 11, 12],
+    360: [9, 10, 11],
+    370: [9, 10],
+    380: [8, 9, 10],
+    390: [7, 8, 9],
+    400: [6, 7, 8],
+    410: [5, 6, 7],
+    420: [5, 6],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  840: {
+    0: [34, 35],
+    10: [33, 34, 35],
+    20: [33, 34],
+    30: [32, 33, 34],
+    40: [32, 33],
+    50: [31, 32],
+    60: [30, 31, 32],
+    70: [30, 31],
+    80: [29, 30, 31],
+    90: [29, 30],
+    100: [28, 29],
+    110: [27, 28, 29],
+    120: [27, 28],
+    130: [26, 27],
+    140: [25, 26, 27],
+    150: [25, 26],
+    160: [24, 25],
+    170: [23, 24, 25],
+    180: [23, 24],
+    190: [22, 23],
+    200: [21, 22, 23],
+    210: [20, 21, 22],
+    220: [20, 21],
+    230: [19, 20, 21],
+    240: [18, 19, 20],
+    250: [18, 19],
+    260: [17, 18, 19],
+    270: [16, 17, 18],
+    280: [15, 16, 17],
+    290: [15, 16],
+    300: [14, 15, 16],
+    310: [13, 14, 15],
+    320: [12, 13, 14],
+    330: [12, 13],
+    340: [11, 12, 13],
+    350: [10, 11, 12],
+    360: [9, 10, 11],
+    370: [9, 10],
+    380: [8, 9],
+    390: [7, 8, 9],
+    400: [6, 7, 8],
+    410: [5, 6, 7],
+    420: [4, 5, 6],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  850: {
+    0: [34, 35],
+    10: [33, 34],
+    20: [32, 33, 34],
+    30: [32, 33],
+    40: [31, 32, 33],
+    50: [31, 32],
+    60: [30, 31],
+    70: [29, 30, 31],
+    80: [29, 30],
+    90: [28, 29, 30],
+    100: [28, 29],
+    110: [27, 28],
+    120: [26, 27, 28],
+    130: [26, 27],
+    140: [25, 26, 27],
+    150: [24, 25, 26],
+    160: [24, 25],
+    170: [23, 24, 25],
+    180: [22, 23, 24],
+    190: [22, 23],
+    200: [21, 22, 23],
+    210: [20, 21, 22],
+    220: [20, 21],
+    230: [19, 20],
+    240: [18, 19, 20],
+    250: [17, 18, 19],
+    260: [17, 18],
+    270: [16, 17, 18],
+    280: [15, 16, 17],
+    290: [14, 15, 16],
+    300: [14, 15],
+    310: [13, 14, 15],
+    320: [12, 13, 14],
+    330: [11, 12, 13],
+    340: [11, 12],
+    350: [10, 11, 12],
+    360: [9, 10, 11],
+    370: [8, 9, 10],
+    380: [8, 9],
+    390: [7, 8, 9],
+    400: [6, 7, 8],
+    410: [5, 6, 7],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  860: {
+    0: [33, 34, 35],
+    10: [33, 34],
+    20: [32, 33],
+    30: [32, 33],
+    40: [31, 32],
+    50: [30, 31, 32],
+    60: [30, 31],
+    70: [29, 30, 31],
+    80: [29, 30],
+    90: [28, 29],
+    100: [27, 28, 29],
+    110: [27, 28],
+    120: [26, 27],
+    130: [25, 26, 27],
+    140: [25, 26],
+    150: [24, 25, 26],
+    160: [23, 24, 25],
+    170: [23, 24],
+    180: [22, 23, 24],
+    190: [21, 22, 23],
+    200: [21, 22],
+    210: [20, 21, 22],
+    220: [19, 20, 21],
+    230: [19, 20],
+    240: [18, 19, 20],
+    250: [17, 18, 19],
+    260: [16, 17, 18],
+    270: [16, 17],
+    280: [15, 16, 17],
+    290: [14, 15, 16],
+    300: [14, 15],
+    310: [13, 14, 15],
+    320: [12, 13, 14],
+    330: [11, 12, 13],
+    340: [11, 12],
+    350: [10, 11],
+    360: [9, 10, 11],
+    370: [8, 9, 10],
+    380: [8, 9],
+    390: [7, 8, 9],
+    400: [6, 7, 8],
+    410: [5, 6, 7],
+    420: [5, 6],
+    430: [4, 5],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  870: {
+    0: [33, 34],
+    10: [32, 33, 34],
+    20: [32, 33],
+    30: [31, 32, 33],
+    40: [31, 32],
+    50: [30, 31],
+    60: [29, 30, 31],
+    70: [29, 30],
+    80: [28, 29, 30],
+    90: [28, 29],
+    100: [27, 28],
+    110: [26, 27, 28],
+    120: [26, 27],
+    130: [25, 26, 27],
+    140: [25, 26],
+    150: [24, 25],
+    160: [23, 24, 25],
+    170: [23, 24],
+    180: [22, 23],
+    190: [21, 22, 23],
+    200: [21, 22],
+    210: [20, 21],
+    220: [19, 20, 21],
+    230: [18, 19, 20],
+    240: [18, 19],
+    250: [17, 18, 19],
+    260: [16, 17, 18],
+    270: [16, 17],
+    280: [15, 16],
+    290: [14, 15, 16],
+    300: [13, 14, 15],
+    310: [13, 14],
+    320: [12, 13, 14],
+    330: [11, 12, 13],
+    340: [10, 11, 12],
+    350: [10, 11],
+    360: [9, 10, 11],
+    370: [8, 9, 10],
+    380: [7, 8, 9],
+    390: [7, 8],
+    400: [6, 7, 8],
+    410: [5, 6, 7],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  880: {
+    0: [33, 34],
+    10: [32, 33],
+    20: [32, 33],
+    30: [31, 32],
+    40: [30, 31, 32],
+    50: [30, 31],
+    60: [29, 30, 31],
+    70: [29, 30],
+    80: [28, 29],
+    90: [27, 28, 29],
+    100: [27, 28],
+    110: [26, 27, 28],
+    120: [26, 27],
+    130: [25, 26],
+    140: [24, 25, 26],
+    150: [24, 25],
+    160: [23, 24],
+    170: [22, 23, 24],
+    180: [22, 23],
+    190: [21, 22],
+    200: [20, 21, 22],
+    210: [20, 21],
+    220: [19, 20],
+    230: [18, 19, 20],
+    240: [18, 19],
+    250: [17, 18],
+    260: [16, 17, 18],
+    270: [15, 16, 17],
+    280: [15, 16],
+    290: [14, 15, 16],
+    300: [13, 14, 15],
+    310: [13, 14],
+    320: [12, 13],
+    330: [11, 12, 13],
+    340: [10, 11, 12],
+    350: [10, 11],
+    360: [9, 10, 11],
+    370: [8, 9, 10],
+    380: [7, 8, 9],
+    390: [7, 8],
+    400: [6, 7, 8],
+    410: [5, 6, 7],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  890: {
+    0: [32, 33, 34],
+    10: [32, 33],
+    20: [31, 32],
+    30: [31, 32],
+    40: [30, 31],
+    50: [30, 31],
+    60: [29, 30],
+    70: [28, 29, 30],
+    80: [28, 29],
+    90: [27, 28],
+    100: [27, 28],
+    110: [26, 27],
+    120: [25, 26, 27],
+    130: [25, 26],
+    140: [24, 25],
+    150: [23, 24, 25],
+    160: [23, 24],
+    170: [22, 23, 24],
+    180: [21, 22, 23],
+    190: [21, 22],
+    200: [20, 21, 22],
+    210: [19, 20, 21],
+    220: [19, 20],
+    230: [18, 19, 20],
+    240: [17, 18, 19],
+    250: [17, 18],
+    260: [16, 17, 18],
+    270: [15, 16, 17],
+    280: [15, 16],
+    290: [14, 15],
+    300: [13, 14, 15],
+    310: [12, 13, 14],
+    320: [12, 13],
+    330: [11, 12, 13],
+    340: [10, 11, 12],
+    350: [10, 11],
+    360: [9, 10],
+    370: [8, 9, 10],
+    380: [7, 8, 9],
+    390: [7, 8],
+    400: [6, 7, 8],
+    410: [5, 6, 7],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  900: {
+    0: [32, 33],
+    10: [32, 33],
+    20: [31, 32],
+    30: [30, 31, 32],
+    40: [30, 31],
+    50: [29, 30],
+    60: [29, 30],
+    70: [28, 29],
+    80: [27, 28, 29],
+    90: [27, 28],
+    100: [26, 27, 28],
+    110: [26, 27],
+    120: [25, 26],
+    130: [24, 25, 26],
+    140: [24, 25],
+    150: [23, 24, 25],
+    160: [23, 24],
+    170: [22, 23],
+    180: [21, 22, 23],
+    190: [21, 22],
+    200: [20, 21],
+    210: [19, 20, 21],
+    220: [19, 20],
+    230: [18, 19],
+    240: [17, 18, 19],
+    250: [17, 18],
+    260: [16, 17],
+    270: [15, 16, 17],
+    280: [14, 15, 16],
+    290: [14, 15],
+    300: [13, 14, 15],
+    310: [12, 13, 14],
+    320: [12, 13],
+    330: [11, 12, 13],
+    340: [10, 11, 12],
+    350: [10, 11],
+    360: [9, 10],
+    370: [8, 9, 10],
+    380: [7, 8, 9],
+    390: [7, 8],
+    400: [6, 7],
+    410: [5, 6, 7],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  910: {
+    0: [32, 33],
+    10: [31, 32],
+    20: [31, 32],
+    30: [30, 31],
+    40: [30, 31],
+    50: [29, 30],
+    60: [28, 29, 30],
+    70: [28, 29],
+    80: [27, 28],
+    90: [27, 28],
+    100: [26, 27],
+    110: [25, 26, 27],
+    120: [25, 26],
+    130: [24, 25, 26],
+    140: [24, 25],
+    150: [23, 24],
+    160: [22, 23, 24],
+    170: [22, 23],
+    180: [21, 22],
+    190: [20, 21, 22],
+    200: [20, 21],
+    210: [19, 20],
+    220: [18, 19, 20],
+    230: [18, 19],
+    240: [17, 18, 19],
+    250: [16, 17, 18],
+    260: [16, 17],
+    270: [15, 16, 17],
+    280: [14, 15, 16],
+    290: [14, 15],
+    300: [13, 14],
+    310: [12, 13, 14],
+    320: [12, 13],
+    330: [11, 12],
+    340: [10, 11, 12],
+    350: [9, 10, 11],
+    360: [9, 10],
+    370: [8, 9, 10],
+    380: [7, 8, 9],
+    390: [7, 8],
+    400: [6, 7],
+    410: [5, 6, 7],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  920: {
+    0: [31, 32, 33],
+    10: [31, 32],
+    20: [30, 31, 32],
+    30: [30, 31],
+    40: [29, 30],
+    50: [29, 30],
+    60: [28, 29],
+    70: [28, 29],
+    80: [27, 28],
+    90: [26, 27, 28],
+    100: [26, 27],
+    110: [25, 26],
+    120: [25, 26],
+    130: [24, 25],
+    140: [23, 24, 25],
+    150: [23, 24],
+    160: [22, 23],
+    170: [21, 22, 23],
+    180: [21, 22],
+    190: [20, 21, 22],
+    200: [20, 21],
+    210: [19, 20],
+    220: [18, 19, 20],
+    230: [18, 19],
+    240: [17, 18],
+    250: [16, 17, 18],
+    260: [16, 17],
+    270: [15, 16],
+    280: [14, 15, 16],
+    290: [14, 15],
+    300: [13, 14],
+    310: [12, 13, 14],
+    320: [11, 12, 13],
+    330: [11, 12],
+    340: [10, 11, 12],
+    350: [9, 10, 11],
+    360: [9, 10],
+    370: [8, 9],
+    380: [7, 8, 9],
+    390: [7, 8],
+    400: [6, 7],
+    410: [5, 6, 7],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  930: {
+    0: [31, 32],
+    10: [31, 32],
+    20: [30, 31],
+    30: [30, 31],
+    40: [29, 30],
+    50: [28, 29, 30],
+    60: [28, 29],
+    70: [27, 28, 29],
+    80: [27, 28],
+    90: [26, 27],
+    100: [26, 27],
+    110: [25, 26],
+    120: [24, 25, 26],
+    130: [24, 25],
+    140: [23, 24],
+    150: [22, 23, 24],
+    160: [22, 23],
+    170: [21, 22, 23],
+    180: [21, 22],
+    190: [20, 21],
+    200: [19, 20, 21],
+    210: [19, 20],
+    220: [18, 19],
+    230: [17, 18, 19],
+    240: [17, 18],
+    250: [16, 17, 18],
+    260: [15, 16, 17],
+    270: [15, 16],
+    280: [14, 15],
+    290: [13, 14, 15],
+    300: [13, 14],
+    310: [12, 13, 14],
+    320: [11, 12, 13],
+    330: [11, 12],
+    340: [10, 11],
+    350: [9, 10, 11],
+    360: [9, 10],
+    370: [8, 9],
+    380: [7, 8, 9],
+    390: [7, 8],
+    400: [6, 7],
+    410: [5, 6, 7],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  940: {
+    0: [31, 32],
+    10: [30, 31, 32],
+    20: [30, 31],
+    30: [29, 30],
+    40: [29, 30],
+    50: [28, 29],
+    60: [28, 29],
+    70: [27, 28],
+    80: [26, 27, 28],
+    90: [26, 27],
+    100: [25, 26, 27],
+    110: [25, 26],
+    120: [24, 25],
+    130: [24, 25],
+    140: [23, 24],
+    150: [22, 23, 24],
+    160: [22, 23],
+    170: [21, 22],
+    180: [20, 21, 22],
+    190: [20, 21],
+    200: [19, 20, 21],
+    210: [19, 20],
+    220: [18, 19],
+    230: [17, 18, 19],
+    240: [17, 18],
+    250: [16, 17],
+    260: [15, 16, 17],
+    270: [15, 16],
+    280: [14, 15],
+    290: [13, 14, 15],
+    300: [13, 14],
+    310: [12, 13],
+    320: [11, 12, 13],
+    330: [11, 12],
+    340: [10, 11],
+    350: [9, 10, 11],
+    360: [9, 10],
+    370: [8, 9],
+    380: [7, 8, 9],
+    390: [6, 7, 8],
+    400: [6, 7],
+    410: [5, 6, 7],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  950: {
+    0: [31, 32],
+    10: [30, 31],
+    20: [30, 31],
+    30: [29, 30],
+    40: [28, 29, 30],
+    50: [28, 29],
+    60: [27, 28, 29],
+    70: [27, 28],
+    80: [26, 27],
+    90: [26, 27],
+    100: [25, 26],
+    110: [24, 25, 26],
+    120: [24, 25],
+    130: [23, 24, 25],
+    140: [23, 24],
+    150: [22, 23],
+    160: [21, 22, 23],
+    170: [21, 22],
+    180: [20, 21, 22],
+    190: [20, 21],
+    200: [19, 20],
+    210: [18, 19, 20],
+    220: [18, 19],
+    230: [17, 18],
+    240: [16, 17, 18],
+    250: [16, 17],
+    260: [15, 16],
+    270: [14, 15, 16],
+    280: [14, 15],
+    290: [13, 14, 15],
+    300: [13, 14],
+    310: [12, 13],
+    320: [11, 12, 13],
+    330: [10, 11, 12],
+    340: [10, 11],
+    350: [9, 10, 11],
+    360: [9, 10],
+    370: [8, 9],
+    380: [7, 8, 9],
+    390: [6, 7, 8],
+    400: [6, 7],
+    410: [5, 6, 7],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  960: {
+    0: [30, 31],
+    10: [30, 31],
+    20: [29, 30],
+    30: [29, 30],
+    40: [28, 29],
+    50: [28, 29],
+    60: [27, 28],
+    70: [27, 28],
+    80: [26, 27],
+    90: [25, 26, 27],
+    100: [25, 26],
+    110: [24, 25],
+    120: [24, 25],
+    130: [23, 24],
+    140: [23, 24],
+    150: [22, 23],
+    160: [21, 22, 23],
+    170: [21, 22],
+    180: [20, 21],
+    190: [19, 20, 21],
+    200: [19, 20],
+    210: [18, 19, 20],
+    220: [18, 19],
+    230: [17, 18],
+    240: [16, 17, 18],
+    250: [16, 17],
+    260: [15, 16],
+    270: [14, 15, 16],
+    280: [14, 15],
+    290: [13, 14],
+    300: [12, 13, 14],
+    310: [12, 13],
+    320: [11, 12],
+    330: [10, 11, 12],
+    340: [10, 11],
+    350: [9, 10],
+    360: [8, 9, 10],
+    370: [8, 9],
+    380: [7, 8],
+    390: [6, 7, 8],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  970: {
+    0: [30, 31],
+    10: [30, 31],
+    20: [29, 30],
+    30: [29, 30],
+    40: [28, 29],
+    50: [27, 28, 29],
+    60: [27, 28],
+    70: [26, 27],
+    80: [26, 27],
+    90: [25, 26],
+    100: [25, 26],
+    110: [24, 25],
+    120: [23, 24, 25],
+    130: [23, 24],
+    140: [22, 23, 24],
+    150: [22, 23],
+    160: [21, 22],
+    170: [21, 22],
+    180: [20, 21],
+    190: [19, 20, 21],
+    200: [19, 20],
+    210: [18, 19],
+    220: [17, 18, 19],
+    230: [17, 18],
+    240: [16, 17],
+    250: [16, 17],
+    260: [15, 16],
+    270: [14, 15, 16],
+    280: [14, 15],
+    290: [13, 14],
+    300: [12, 13, 14],
+    310: [12, 13],
+    320: [11, 12],
+    330: [10, 11, 12],
+    340: [10, 11],
+    350: [9, 10],
+    360: [8, 9, 10],
+    370: [8, 9],
+    380: [7, 8],
+    390: [6, 7, 8],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  980: {
+    0: [30, 31],
+    10: [29, 30],
+    20: [29, 30],
+    30: [28, 29],
+    40: [28, 29],
+    50: [27, 28],
+    60: [27, 28],
+    70: [26, 27],
+    80: [26, 27],
+    90: [25, 26],
+    100: [24, 25, 26],
+    110: [24, 25],
+    120: [23, 24],
+    130: [23, 24],
+    140: [22, 23],
+    150: [22, 23],
+    160: [21, 22],
+    170: [20, 21, 22],
+    180: [20, 21],
+    190: [19, 20],
+    200: [19, 20],
+    210: [18, 19],
+    220: [17, 18, 19],
+    230: [17, 18],
+    240: [16, 17],
+    250: [15, 16, 17],
+    260: [15, 16],
+    270: [14, 15],
+    280: [14, 15],
+    290: [13, 14],
+    300: [12, 13, 14],
+    310: [12, 13],
+    320: [11, 12],
+    330: [10, 11, 12],
+    340: [10, 11],
+    350: [9, 10],
+    360: [8, 9, 10],
+    370: [8, 9],
+    380: [7, 8],
+    390: [6, 7, 8],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  990: {
+    0: [30, 31],
+    10: [29, 30],
+    20: [29, 30],
+    30: [28, 29],
+    40: [28, 29],
+    50: [27, 28],
+    60: [26, 27, 28],
+    70: [26, 27],
+    80: [25, 26],
+    90: [25, 26],
+    100: [24, 25],
+    110: [24, 25],
+    120: [23, 24],
+    130: [23, 24],
+    140: [22, 23],
+    150: [21, 22, 23],
+    160: [21, 22],
+    170: [20, 21],
+    180: [20, 21],
+    190: [19, 20],
+    200: [18, 19, 20],
+    210: [18, 19],
+    220: [17, 18],
+    230: [17, 18],
+    240: [16, 17],
+    250: [15, 16, 17],
+    260: [15, 16],
+    270: [14, 15],
+    280: [13, 14, 15],
+    290: [13, 14],
+    300: [12, 13],
+    310: [12, 13],
+    320: [11, 12],
+    330: [10, 11],
+    340: [10, 11],
+    350: [9, 10],
+    360: [8, 9, 10],
+    370: [8, 9],
+    380: [7, 8],
+    390: [6, 7, 8],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  1000: {
+    0: [29, 30],
+    10: [29, 30],
+    20: [28, 29],
+    30: [28, 29],
+    40: [27, 28],
+    50: [27, 28],
+    60: [26, 27],
+    70: [26, 27],
+    80: [25, 26],
+    90: [25, 26],
+    100: [24, 25],
+    110: [23, 24, 25],
+    120: [23, 24],
+    130: [22, 23],
+    140: [22, 23],
+    150: [21, 22],
+    160: [21, 22],
+    170: [20, 21],
+    180: [19, 20, 21],
+    190: [19, 20],
+    200: [18, 19],
+    210: [18, 19],
+    220: [17, 18],
+    230: [16, 17, 18],
+    240: [16, 17],
+    250: [15, 16],
+    260: [15, 16],
+    270: [14, 15],
+    280: [13, 14, 15],
+    290: [13, 14],
+    300: [12, 13],
+    310: [11, 12, 13],
+    320: [11, 12],
+    330: [10, 11],
+    340: [9, 10, 11],
+    350: [9, 10],
+    360: [8, 9, 10],
+    370: [8, 9],
+    380: [7, 8],
+    390: [6, 7, 8],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  1010: {
+    0: [29, 30],
+    10: [29, 30],
+    20: [28, 29],
+    30: [28, 29],
+    40: [27, 28],
+    50: [27, 28],
+    60: [26, 27],
+    70: [25, 26, 27],
+    80: [25, 26],
+    90: [24, 25],
+    100: [24, 25],
+    110: [23, 24],
+    120: [23, 24],
+    130: [22, 23],
+    140: [22, 23],
+    150: [21, 22],
+    160: [20, 21, 22],
+    170: [20, 21],
+    180: [19, 20],
+    190: [19, 20],
+    200: [18, 19],
+    210: [17, 18, 19],
+    220: [17, 18],
+    230: [16, 17],
+    240: [16, 17],
+    250: [15, 16],
+    260: [14, 15, 16],
+    270: [14, 15],
+    280: [13, 14],
+    290: [13, 14],
+    300: [12, 13],
+    310: [11, 12, 13],
+    320: [11, 12],
+    330: [10, 11],
+    340: [9, 10, 11],
+    350: [9, 10],
+    360: [8, 9],
+    370: [8, 9],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  1020: {
+    0: [29, 30],
+    10: [28, 29],
+    20: [28, 29],
+    30: [27, 28],
+    40: [27, 28],
+    50: [26, 27],
+    60: [26, 27],
+    70: [25, 26],
+    80: [25, 26],
+    90: [24, 25],
+    100: [24, 25],
+    110: [23, 24],
+    120: [23, 24],
+    130: [22, 23],
+    140: [21, 22, 23],
+    150: [21, 22],
+    160: [20, 21],
+    170: [20, 21],
+    180: [19, 20],
+    190: [19, 20],
+    200: [18, 19],
+    210: [17, 18, 19],
+    220: [17, 18],
+    230: [16, 17],
+    240: [16, 17],
+    250: [15, 16],
+    260: [14, 15, 16],
+    270: [14, 15],
+    280: [13, 14],
+    290: [12, 13, 14],
+    300: [12, 13],
+    310: [11, 12],
+    320: [11, 12],
+    330: [10, 11],
+    340: [9, 10, 11],
+    350: [9, 10],
+    360: [8, 9],
+    370: [8, 9],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1]
+  },
+  1030: {
+    0: [29, 30],
+    10: [28, 29],
+    20: [28, 29],
+    30: [27, 28],
+    40: [27, 28],
+    50: [26, 27],
+    60: [26, 27],
+    70: [25, 26],
+    80: [25, 26],
+    90: [24, 25],
+    100: [23, 24],
+    110: [23, 24],
+    120: [22, 23],
+    130: [22, 23],
+    140: [21, 22],
+    150: [21, 22],
+    160: [20, 21],
+    170: [20, 21],
+    180: [19, 20],
+    190: [18, 19],
+    200: [18, 19],
+    210: [17, 18],
+    220: [17, 18],
+    230: [16, 17],
+    240: [15, 16, 17],
+    250: [15, 16],
+    260: [14, 15],
+    270: [14, 15],
+    280: [13, 14],
+    290: [12, 13, 14],
+    300: [12, 13],
+    310: [11, 12],
+    320: [11, 12],
+    330: [10, 11],
+    340: [9, 10, 11],
+    350: [9, 10],
+    360: [8, 9],
+    370: [7, 8, 9],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1],
+    500: [1]
+  },
+  1040: {
+    0: [28, 29],
+    10: [28, 29],
+    20: [27, 28],
+    30: [27, 28],
+    40: [26, 27],
+    50: [26, 27],
+    60: [25, 26],
+    70: [25, 26],
+    80: [24, 25],
+    90: [24, 25],
+    100: [23, 24],
+    110: [23, 24],
+    120: [22, 23],
+    130: [22, 23],
+    140: [21, 22],
+    150: [21, 22],
+    160: [20, 21],
+    170: [19, 20],
+    180: [19, 20],
+    190: [18, 19],
+    200: [18, 19],
+    210: [17, 18],
+    220: [16, 17, 18],
+    230: [16, 17],
+    240: [15, 16],
+    250: [15, 16],
+    260: [14, 15],
+    270: [14, 15],
+    280: [13, 14],
+    290: [12, 13],
+    300: [12, 13],
+    310: [11, 12],
+    320: [10, 11, 12],
+    330: [10, 11],
+    340: [9, 10],
+    350: [9, 10],
+    360: [8, 9],
+    370: [7, 8, 9],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1],
+    500: [1]
+  },
+  1050: {
+    0: [28, 29],
+    10: [28, 29],
+    20: [27, 28],
+    30: [27, 28],
+    40: [26, 27],
+    50: [26, 27],
+    60: [25, 26],
+    70: [25, 26],
+    80: [24, 25],
+    90: [24, 25],
+    100: [23, 24],
+    110: [23, 24],
+    120: [22, 23],
+    130: [21, 22],
+    140: [21, 22],
+    150: [20, 21],
+    160: [20, 21],
+    170: [19, 20],
+    180: [19, 20],
+    190: [18, 19],
+    200: [18, 19],
+    210: [17, 18],
+    220: [16, 17],
+    230: [16, 17],
+    240: [15, 16],
+    250: [15, 16],
+    260: [14, 15],
+    270: [13, 14, 15],
+    280: [13, 14],
+    290: [12, 13],
+    300: [12, 13],
+    310: [11, 12],
+    320: [10, 11, 12],
+    330: [10, 11],
+    340: [9, 10],
+    350: [9, 10],
+    360: [8, 9],
+    370: [7, 8, 9],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1],
+    500: [1]
+  },
+  1060: {
+    0: [28, 29],
+    10: [28],
+    20: [27, 28],
+    30: [27],
+    40: [26, 27],
+    50: [26],
+    60: [25, 26],
+    70: [25],
+    80: [24, 25],
+    90: [23, 24],
+    100: [23, 24],
+    110: [22, 23],
+    120: [22, 23],
+    130: [21, 22],
+    140: [21, 22],
+    150: [20, 21],
+    160: [20, 21],
+    170: [19, 20],
+    180: [19, 20],
+    190: [18, 19],
+    200: [17, 18],
+    210: [17, 18],
+    220: [16, 17],
+    230: [16, 17],
+    240: [15, 16],
+    250: [15, 16],
+    260: [14, 15],
+    270: [13, 14],
+    280: [13, 14],
+    290: [12, 13],
+    300: [12, 13],
+    310: [11, 12],
+    320: [10, 11, 12],
+    330: [10, 11],
+    340: [9, 10],
+    350: [9, 10],
+    360: [8, 9],
+    370: [7, 8, 9],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [3, 4],
+    460: [2, 3],
+    470: [1, 2],
+    480: [1, 2],
+    490: [1],
+    500: [1]
+  },
+  1070: {
+    0: [28, 29],
+    10: [27, 28],
+    20: [27, 28],
+    30: [26, 27],
+    40: [26, 27],
+    50: [25, 26],
+    60: [25, 26],
+    70: [24, 25],
+    80: [24, 25],
+    90: [23, 24],
+    100: [23, 24],
+    110: [22, 23],
+    120: [22, 23],
+    130: [21, 22],
+    140: [21, 22],
+    150: [20, 21],
+    160: [19, 20, 21],
+    170: [19, 20],
+    180: [18, 19],
+    190: [18, 19],
+    200: [17, 18],
+    210: [17, 18],
+    220: [16, 17],
+    230: [16, 17],
+    240: [15, 16],
+    250: [14, 15],
+    260: [14, 15],
+    270: [13, 14],
+    280: [13, 14],
+    290: [12, 13],
+    300: [11, 12, 13],
+    310: [11, 12],
+    320: [10, 11],
+    330: [10, 11],
+    340: [9, 10],
+    350: [9, 10],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [3, 4],
+    460: [2, 3],
+    470: [2],
+    480: [1, 2],
+    490: [1]
+  },
+  1080: {
+    0: [28, 29],
+    10: [27, 28],
+    20: [27, 28],
+    30: [26, 27],
+    40: [26, 27],
+    50: [25, 26],
+    60: [25, 26],
+    70: [24, 25],
+    80: [24, 25],
+    90: [23, 24],
+    100: [23, 24],
+    110: [22, 23],
+    120: [22],
+    130: [21, 22],
+    140: [20, 21],
+    150: [20, 21],
+    160: [19, 20],
+    170: [19, 20],
+    180: [18, 19],
+    190: [18, 19],
+    200: [17, 18],
+    210: [17, 18],
+    220: [16, 17],
+    230: [15, 16, 17],
+    240: [15, 16],
+    250: [14, 15],
+    260: [14, 15],
+    270: [13, 14],
+    280: [13, 14],
+    290: [12, 13],
+    300: [11, 12, 13],
+    310: [11, 12],
+    320: [10, 11],
+    330: [10, 11],
+    340: [9, 10],
+    350: [8, 9, 10],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [3, 4],
+    460: [2, 3],
+    470: [2],
+    480: [2]
+  },
+  1090: {
+    0: [27, 28],
+    10: [27, 28],
+    20: [26, 27],
+    30: [26, 27],
+    40: [25, 26],
+    50: [25, 26],
+    60: [24, 25],
+    70: [24, 25],
+    80: [23, 24],
+    90: [23, 24],
+    100: [22, 23],
+    110: [22, 23],
+    120: [21, 22],
+    130: [21, 22],
+    140: [20, 21],
+    150: [20, 21],
+    160: [19, 20],
+    170: [19, 20],
+    180: [18, 19],
+    190: [18, 19],
+    200: [17, 18],
+    210: [16, 17],
+    220: [16, 17],
+    230: [15, 16],
+    240: [15, 16],
+    250: [14, 15],
+    260: [14, 15],
+    270: [13, 14],
+    280: [13, 14],
+    290: [12, 13],
+    300: [11, 12],
+    310: [11, 12],
+    320: [10, 11],
+    330: [10, 11],
+    340: [9, 10],
+    350: [8, 9, 10],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [3, 4],
+    460: [2, 3],
+    470: [2],
+    480: [2]
+  },
+  1100: {
+    0: [27, 28],
+    10: [27, 28],
+    20: [26, 27],
+    30: [26, 27],
+    40: [25, 26],
+    50: [25, 26],
+    60: [24, 25],
+    70: [24, 25],
+    80: [23, 24],
+    90: [23, 24],
+    100: [22, 23],
+    110: [22, 23],
+    120: [21, 22],
+    130: [21, 22],
+    140: [20, 21],
+    150: [20, 21],
+    160: [19, 20],
+    170: [19, 20],
+    180: [18, 19],
+    190: [17, 18],
+    200: [17, 18],
+    210: [16, 17],
+    220: [16, 17],
+    230: [15, 16],
+    240: [15, 16],
+    250: [14, 15],
+    260: [14, 15],
+    270: [13, 14],
+    280: [12, 13],
+    290: [12, 13],
+    300: [11, 12],
+    310: [11, 12],
+    320: [10, 11],
+    330: [10, 11],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [3, 4],
+    460: [2, 3],
+    470: [2, 3],
+    480: [2]
+  },
+  1110: {
+    0: [27, 28],
+    10: [27],
+    20: [26, 27],
+    30: [26],
+    40: [25, 26],
+    50: [25, 26],
+    60: [24, 25],
+    70: [24, 25],
+    80: [23, 24],
+    90: [23, 24],
+    100: [22, 23],
+    110: [22, 23],
+    120: [21, 22],
+    130: [21],
+    140: [20, 21],
+    150: [19, 20],
+    160: [19, 20],
+    170: [18, 19],
+    180: [18, 19],
+    190: [17, 18],
+    200: [17, 18],
+    210: [16, 17],
+    220: [16, 17],
+    230: [15, 16],
+    240: [15, 16],
+    250: [14, 15],
+    260: [13, 14, 15],
+    270: [13, 14],
+    280: [12, 13],
+    290: [12, 13],
+    300: [11, 12],
+    310: [11, 12],
+    320: [10, 11],
+    330: [10, 11],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [3, 4],
+    460: [2, 3],
+    470: [2, 3],
+    480: [2]
+  },
+  1120: {
+    0: [27, 28],
+    10: [26, 27],
+    20: [26, 27],
+    30: [25, 26],
+    40: [25, 26],
+    50: [24, 25],
+    60: [24, 25],
+    70: [23, 24],
+    80: [23, 24],
+    90: [22, 23],
+    100: [22, 23],
+    110: [21, 22],
+    120: [21, 22],
+    130: [20, 21],
+    140: [20, 21],
+    150: [19, 20],
+    160: [19, 20],
+    170: [18, 19],
+    180: [18, 19],
+    190: [17, 18],
+    200: [17, 18],
+    210: [16, 17],
+    220: [16, 17],
+    230: [15, 16],
+    240: [15],
+    250: [14, 15],
+    260: [13, 14],
+    270: [13, 14],
+    280: [12, 13],
+    290: [12, 13],
+    300: [11, 12],
+    310: [11, 12],
+    320: [10, 11],
+    330: [9, 10],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [3, 4],
+    460: [2, 3],
+    470: [2, 3],
+    480: [2]
+  },
+  1130: {
+    0: [27, 28],
+    10: [26, 27],
+    20: [26, 27],
+    30: [25, 26],
+    40: [25, 26],
+    50: [24, 25],
+    60: [24, 25],
+    70: [23, 24],
+    80: [23, 24],
+    90: [22, 23],
+    100: [22, 23],
+    110: [21, 22],
+    120: [21, 22],
+    130: [20, 21],
+    140: [20, 21],
+    150: [19, 20],
+    160: [19, 20],
+    170: [18, 19],
+    180: [18, 19],
+    190: [17, 18],
+    200: [17, 18],
+    210: [16, 17],
+    220: [15, 16],
+    230: [15, 16],
+    240: [14, 15],
+    250: [14, 15],
+    260: [13, 14],
+    270: [13, 14],
+    280: [12, 13],
+    290: [12, 13],
+    300: [11, 12],
+    310: [11, 12],
+    320: [10, 11],
+    330: [9, 10],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [3, 4],
+    460: [2, 3],
+    470: [2, 3],
+    480: [2]
+  },
+  1140: {
+    0: [27],
+    10: [26, 27],
+    20: [26],
+    30: [25, 26],
+    40: [25],
+    50: [24, 25],
+    60: [24],
+    70: [23, 24],
+    80: [23],
+    90: [22, 23],
+    100: [22],
+    110: [21, 22],
+    120: [21, 22],
+    130: [20, 21],
+    140: [20, 21],
+    150: [19, 20],
+    160: [19],
+    170: [18, 19],
+    180: [18],
+    190: [17, 18],
+    200: [16, 17],
+    210: [16, 17],
+    220: [15, 16],
+    230: [15, 16],
+    240: [14, 15],
+    250: [14, 15],
+    260: [13, 14],
+    270: [13, 14],
+    280: [12, 13],
+    290: [12, 13],
+    300: [11, 12],
+    310: [11],
+    320: [10, 11],
+    330: [9, 10],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [3, 4],
+    460: [2, 3],
+    470: [2, 3],
+    480: [2]
+  },
+  1150: {
+    0: [26, 27],
+    10: [26, 27],
+    20: [25, 26],
+    30: [25, 26],
+    40: [24, 25],
+    50: [24, 25],
+    60: [23, 24],
+    70: [23, 24],
+    80: [22, 23],
+    90: [22, 23],
+    100: [22],
+    110: [21, 22],
+    120: [21],
+    130: [20, 21],
+    140: [19, 20],
+    150: [19, 20],
+    160: [18, 19],
+    170: [18, 19],
+    180: [17, 18],
+    190: [17, 18],
+    200: [16, 17],
+    210: [16, 17],
+    220: [15, 16],
+    230: [15, 16],
+    240: [14, 15],
+    250: [14, 15],
+    260: [13, 14],
+    270: [13, 14],
+    280: [12, 13],
+    290: [12],
+    300: [11, 12],
+    310: [10, 11],
+    320: [10, 11],
+    330: [9, 10],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [3, 4],
+    460: [2, 3],
+    470: [2, 3],
+    480: [2]
+  },
+  1160: {
+    0: [26, 27],
+    10: [26, 27],
+    20: [25, 26],
+    30: [25, 26],
+    40: [24, 25],
+    50: [24, 25],
+    60: [23, 24],
+    70: [23, 24],
+    80: [22, 23],
+    90: [22, 23],
+    100: [21, 22],
+    110: [21, 22],
+    120: [20, 21],
+    130: [20, 21],
+    140: [19, 20],
+    150: [19, 20],
+    160: [18, 19],
+    170: [18, 19],
+    180: [17, 18],
+    190: [17, 18],
+    200: [16, 17],
+    210: [16, 17],
+    220: [15, 16],
+    230: [15, 16],
+    240: [14, 15],
+    250: [14, 15],
+    260: [13, 14],
+    270: [13, 14],
+    280: [12, 13],
+    290: [11, 12],
+    300: [11, 12],
+    310: [10, 11],
+    320: [10, 11],
+    330: [9, 10],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [3, 4],
+    460: [2, 3],
+    470: [2, 3],
+    480: [2],
+    490: [2]
+  },
+  1170: {
+    0: [26, 27],
+    10: [26],
+    20: [25, 26],
+    30: [25],
+    40: [24, 25],
+    50: [24],
+    60: [23, 24],
+    70: [23, 24],
+    80: [22, 23],
+    90: [22, 23],
+    100: [21, 22],
+    110: [21, 22],
+    120: [20, 21],
+    130: [20, 21],
+    140: [19, 20],
+    150: [19, 20],
+    160: [18, 19],
+    170: [18, 19],
+    180: [17, 18],
+    190: [17, 18],
+    200: [16, 17],
+    210: [16, 17],
+    220: [15, 16],
+    230: [15, 16],
+    240: [14, 15],
+    250: [14],
+    260: [13, 14],
+    270: [13],
+    280: [12, 13],
+    290: [11, 12],
+    300: [11, 12],
+    310: [10, 11],
+    320: [10, 11],
+    330: [9, 10],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [3, 4],
+    460: [2, 3],
+    470: [2, 3],
+    480: [2],
+    490: [2]
+  },
+  1180: {
+    0: [26, 27],
+    10: [25, 26],
+    20: [25, 26],
+    30: [24, 25],
+    40: [24, 25],
+    50: [24],
+    60: [23, 24],
+    70: [23],
+    80: [22, 23],
+    90: [22],
+    100: [21, 22],
+    110: [21],
+    120: [20, 21],
+    130: [20],
+    140: [19, 20],
+    150: [19],
+    160: [18, 19],
+    170: [18],
+    180: [17, 18],
+    190: [17],
+    200: [16, 17],
+    210: [16],
+    220: [15, 16],
+    230: [15],
+    240: [14, 15],
+    250: [13, 14],
+    260: [13, 14],
+    270: [12, 13],
+    280: [12, 13],
+    290: [11, 12],
+    300: [11, 12],
+    310: [10, 11],
+    320: [10, 11],
+    330: [9, 10],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [3, 4],
+    460: [2, 3],
+    470: [2, 3],
+    480: [2],
+    490: [2]
+  },
+  1190: {
+    0: [26],
+    10: [25, 26],
+    20: [25, 26],
+    30: [24, 25],
+    40: [24, 25],
+    50: [23, 24],
+    60: [23, 24],
+    70: [22, 23],
+    80: [22, 23],
+    90: [21, 22],
+    100: [21, 22],
+    110: [20, 21],
+    120: [20, 21],
+    130: [20],
+    140: [19, 20],
+    150: [19],
+    160: [18, 19],
+    170: [18],
+    180: [17, 18],
+    190: [16, 17],
+    200: [16, 17],
+    210: [15, 16],
+    220: [15, 16],
+    230: [14, 15],
+    240: [14, 15],
+    250: [13, 14],
+    260: [13, 14],
+    270: [12, 13],
+    280: [12, 13],
+    290: [11, 12],
+    300: [11, 12],
+    310: [10, 11],
+    320: [10, 11],
+    330: [9, 10],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7],
+    390: [6, 7],
+    400: [6],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [3, 4],
+    460: [2, 3],
+    470: [2, 3],
+    480: [2],
+    490: [2]
+  }
+};
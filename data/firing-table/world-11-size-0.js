@@ -1,5 +1,6 @@
 // Firing Table Data for World 11
-// Generated on 2025-08-05T05:01:21.703Z
+// Cannonball size level 0 (radius 8.0px)
+// Generated on 2026-10-19T18:31:51.773Z
 export default {
   0: {
     0: [103, 104, 105],
@@ -52,7 +53,7 @@ export default {
     470: [173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
     480: [178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
     490: [183, 184, 185, 186, 187, 188],
-    500: [188],
+    500: [188]
   },
   10: {
     0: [102, 103],
@@ -104,7 +105,7 @@ export default {
     460: [169, 170, 171, 172, 173, 174, 175],
     470: [175, 176, 177, 178, 179, 180],
     480: [180, 181, 182, 183, 184, 185],
-    490: [185, 186, 187, 188],
+    490: [185, 186, 187, 188]
   },
   20: {
     0: [102],
@@ -157,7 +158,7 @@ export default {
     470: [172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
     480: [178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
     490: [183, 184, 185, 186, 187, 188, 189],
-    500: [189],
+    500: [189]
   },
   30: {
     0: [100, 101],
@@ -209,7 +210,7 @@ export default {
     460: [167, 168, 169, 170, 171, 172, 173, 174],
     470: [174, 175, 176, 177, 178, 179],
     480: [181, 182, 183, 184, 185, 186],
-    490: [186, 187, 188, 189],
+    490: [186, 187, 188, 189]
   },
   40: {
     0: [99, 100],
@@ -262,7 +263,7 @@ export default {
     470: [170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
     480: [177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190],
     490: [184, 185, 186, 187, 188, 189, 190, 191, 192],
-    500: [192],
+    500: [192]
   },
   50: {
     0: [98, 99],
@@ -314,7 +315,7 @@ export default {
     460: [164, 165, 166, 167, 168, 169, 170, 171, 172],
     470: [173, 174, 175, 176, 177, 178],
     480: [182, 183, 184, 185, 186, 187],
-    490: [188, 189, 190, 191, 192],
+    490: [188, 189, 190, 191, 192]
   },
   60: {
     0: [96, 97, 98],
@@ -362,24 +363,12 @@ export default {
     420: [131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
     430: [137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
     440: [148, 149, 150, 151, 152],
-    450: [
-      150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164,
-      165,
-    ],
-    460: [
-      157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171,
-      172, 173, 174, 175,
-    ],
-    470: [
-      166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180,
-      181, 182, 183, 184,
-    ],
-    480: [
-      176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190,
-      191, 192, 193, 194,
-    ],
+    450: [150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    460: [157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192, 193, 194],
     490: [185, 186, 187, 188, 189, 190, 191, 192, 193, 194, 195, 196],
-    500: [195, 196],
+    500: [195, 196]
   },
   70: {
     0: [95, 96, 97],
@@ -426,18 +415,12 @@ export default {
     410: [121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
     420: [126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
     430: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
-    440: [
-      136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150,
-      151, 152, 153, 154,
-    ],
-    450: [
-      145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159,
-      160, 161, 162,
-    ],
+    440: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    450: [145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
     460: [157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
     470: [172, 173, 174, 175, 176, 177],
     480: [183, 184, 185, 186, 187, 188],
-    490: [191, 192, 193, 194, 195, 196],
+    490: [191, 192, 193, 194, 195, 196]
   },
   80: {
     0: [94, 95],
@@ -483,13 +466,8 @@ export default {
     400: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
     410: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
     420: [121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
-    430: [
-      123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137,
-      138, 139, 140, 141,
-    ],
-    440: [
-      132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146,
-    ],
+    430: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    440: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146]
   },
   90: {
     0: [93, 94],
@@ -534,14 +512,8 @@ export default {
     390: [107, 108, 109, 110, 111, 112],
     400: [105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
     410: [111, 112, 113, 114, 115, 116, 117, 118, 119],
-    420: [
-      110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124,
-      125, 126, 127,
-    ],
-    430: [
-      116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130,
-      131,
-    ],
+    420: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    430: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131]
   },
   100: {
     0: [92, 93],
@@ -584,14 +556,9 @@ export default {
     370: [98, 99, 100, 101, 102, 103, 104],
     380: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
     390: [100, 101, 102, 103, 104, 105, 106, 107],
-    400: [
-      98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112,
-    ],
+    400: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
     410: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
-    420: [
-      101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115,
-      116, 117, 118, 119,
-    ],
+    420: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119]
   },
   110: {
     0: [91, 92],
@@ -636,10 +603,7 @@ export default {
     390: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
     400: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
     410: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
-    420: [
-      92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107,
-      108, 109,
-    ],
+    420: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109]
   },
   120: {
     0: [89, 90, 91],
@@ -684,7 +648,7 @@ export default {
     390: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
     400: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
     410: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
-    420: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    420: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98]
   },
   130: {
     0: [88, 89],
@@ -729,9 +693,7 @@ export default {
     390: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
     400: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     410: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
-    420: [
-      71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88,
-    ],
+    420: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88]
   },
   140: {
     0: [87, 88],
@@ -776,10 +738,7 @@ export default {
     390: [73, 74, 75, 76, 77, 78, 79, 80],
     400: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
     410: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
-    420: [
-      61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78,
-      79,
-    ],
+    420: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79]
   },
   150: {
     0: [86, 87],
@@ -824,10 +783,8 @@ export default {
     390: [68, 69, 70, 71, 72, 73],
     400: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75],
     410: [61, 62, 63, 64, 65, 66, 67, 68, 69],
-    420: [
-      53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70,
-    ],
-    430: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    430: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64]
   },
   160: {
     0: [85, 86],
@@ -873,11 +830,8 @@ export default {
     400: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
     410: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
     420: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
-    430: [
-      39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56,
-      57,
-    ],
-    440: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    430: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    440: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48]
   },
   170: {
     0: [83, 84, 85],
@@ -924,17 +878,12 @@ export default {
     410: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
     420: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
     430: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    440: [
-      26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43,
-      44,
-    ],
-    450: [
-      18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35,
-    ],
+    440: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    450: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35],
     460: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
     470: [3, 4, 5, 6, 7, 8],
     480: [352, 353, 354, 355, 356, 357],
-    490: [344, 345, 346, 347, 348, 349],
+    490: [344, 345, 346, 347, 348, 349]
   },
   180: {
     0: [82, 83, 84],
@@ -983,16 +932,11 @@ export default {
     430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
     440: [28, 29, 30, 31, 32],
     450: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30],
-    460: [
-      5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23,
-    ],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 356, 357, 358, 359],
-    480: [
-      0, 1, 2, 3, 4, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357,
-      358, 359,
-    ],
+    480: [0, 1, 2, 3, 4, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
     490: [344, 345, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355],
-    500: [344, 345],
+    500: [344, 345]
   },
   190: {
     0: [81, 82],
@@ -1044,7 +988,7 @@ export default {
     460: [8, 9, 10, 11, 12, 13, 14, 15, 16],
     470: [2, 3, 4, 5, 6, 7],
     480: [353, 354, 355, 356, 357, 358],
-    490: [348, 349, 350, 351, 352],
+    490: [348, 349, 350, 351, 352]
   },
   200: {
     0: [80, 81],
@@ -1097,7 +1041,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 357, 358, 359],
     480: [0, 1, 2, 3, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
     490: [348, 349, 350, 351, 352, 353, 354, 355, 356],
-    500: [348],
+    500: [348]
   },
   210: {
     0: [79, 80],
@@ -1149,7 +1093,7 @@ export default {
     460: [6, 7, 8, 9, 10, 11, 12, 13],
     470: [1, 2, 3, 4, 5, 6],
     480: [354, 355, 356, 357, 358, 359],
-    490: [351, 352, 353, 354],
+    490: [351, 352, 353, 354]
   },
   220: {
     0: [78],
@@ -1202,7 +1146,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 358, 359],
     480: [0, 1, 2, 352, 353, 354, 355, 356, 357, 358, 359],
     490: [351, 352, 353, 354, 355, 356, 357],
-    500: [351],
+    500: [351]
   },
   230: {
     0: [77, 78],
@@ -1254,7 +1198,7 @@ export default {
     460: [5, 6, 7, 8, 9, 10, 11],
     470: [0, 1, 2, 3, 4, 5],
     480: [0, 355, 356, 357, 358, 359],
-    490: [352, 353, 354, 355],
+    490: [352, 353, 354, 355]
   },
   240: {
     0: [75, 76, 77],
@@ -1307,7 +1251,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 358, 359],
     480: [0, 1, 2, 353, 354, 355, 356, 357, 358, 359],
     490: [352, 353, 354, 355, 356, 357],
-    500: [352],
+    500: [352]
   },
   250: {
     0: [74, 75],
@@ -1359,7 +1303,7 @@ export default {
     460: [4, 5, 6, 7, 8, 9],
     470: [0, 1, 2, 3, 4, 5],
     480: [0, 355, 356, 357, 358, 359],
-    490: [353, 354, 355, 356],
+    490: [353, 354, 355, 356]
   },
   260: {
     0: [73, 74],
@@ -1412,7 +1356,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 359],
     480: [0, 1, 355, 356, 357, 358, 359],
     490: [353, 354, 355, 356, 357],
-    500: [353],
+    500: [353]
   },
   270: {
     0: [72, 73],
@@ -1465,7 +1409,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 359],
     480: [0, 1, 356, 357, 358, 359],
     490: [354, 355, 356, 357],
-    500: [354],
+    500: [354]
   },
   280: {
     0: [71, 72],
@@ -1518,7 +1462,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 359],
     480: [0, 1, 355, 356, 357, 358, 359],
     490: [354, 355, 356, 357],
-    500: [354],
+    500: [354]
   },
   290: {
     0: [70, 71],
@@ -1570,7 +1514,7 @@ export default {
     460: [3, 4, 5, 6, 7, 8],
     470: [0, 1, 2, 3, 4, 359],
     480: [0, 1, 356, 357, 358, 359],
-    490: [355, 356, 357, 358],
+    490: [355, 356, 357, 358]
   },
   300: {
     0: [69, 70],
@@ -1622,7 +1566,7 @@ export default {
     460: [3, 4, 5, 6, 7],
     470: [0, 1, 2, 3, 4, 359],
     480: [0, 1, 356, 357, 358, 359],
-    490: [355, 356, 357],
+    490: [355, 356, 357]
   },
   310: {
     0: [68, 69],
@@ -1674,7 +1618,7 @@ export default {
     460: [2, 3, 4, 5, 6, 7],
     470: [0, 1, 2, 3, 4, 359],
     480: [0, 1, 356, 357, 358, 359],
-    490: [356, 357, 358],
+    490: [356, 357, 358]
   },
   320: {
     0: [67, 68],
@@ -1726,7 +1670,7 @@ export default {
     460: [3, 4, 5, 6],
     470: [0, 1, 2, 3],
     480: [0, 357, 358, 359],
-    490: [356, 357],
+    490: [356, 357]
   },
   330: {
     0: [66, 67],
@@ -1779,7 +1723,7 @@ export default {
     470: [0, 1, 2, 3, 4, 359],
     480: [0, 1, 357, 358, 359],
     490: [356, 357, 358],
-    500: [356],
+    500: [356]
   },
   340: {
     0: [65, 66],
@@ -1831,7 +1775,7 @@ export default {
     460: [3, 4, 5],
     470: [1, 2],
     480: [0, 358, 359],
-    490: [356, 357],
+    490: [356, 357]
   },
   350: {
     0: [64, 65],
@@ -1884,7 +1828,7 @@ export default {
     470: [0, 1, 2, 3, 359],
     480: [0, 1, 357, 358, 359],
     490: [356, 357, 358],
-    500: [356],
+    500: [356]
   },
   360: {
     0: [63, 64],
@@ -1936,7 +1880,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [0, 1, 2],
     480: [0, 358, 359],
-    490: [357, 358],
+    490: [357, 358]
   },
   370: {
     0: [62, 63],
@@ -1988,7 +1932,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [0, 1, 2, 3],
     480: [0, 1, 357, 358, 359],
-    490: [357, 358],
+    490: [357, 358]
   },
   380: {
     0: [61, 62],
@@ -2040,7 +1984,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [0, 1, 2, 3],
     480: [0, 358, 359],
-    490: [357, 358],
+    490: [357, 358]
   },
   390: {
     0: [60, 61],
@@ -2092,7 +2036,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [0, 1, 2, 3],
     480: [0, 358, 359],
-    490: [357, 358],
+    490: [357, 358]
   },
   400: {
     0: [59, 60],
@@ -2145,7 +2089,7 @@ export default {
     470: [0, 1, 2, 3],
     480: [0, 1, 358, 359],
     490: [357, 358, 359],
-    500: [357],
+    500: [357]
   },
   410: {
     0: [58, 59],
@@ -2197,7 +2141,7 @@ export default {
     460: [2, 3, 4],
     470: [0, 1, 2],
     480: [0, 358, 359],
-    490: [357, 358],
+    490: [357, 358]
   },
   420: {
     0: [58],
@@ -2250,7 +2194,7 @@ export default {
     470: [0, 1, 2, 3],
     480: [0, 1, 358, 359],
     490: [357, 358, 359],
-    500: [357],
+    500: [357]
   },
   430: {
     0: [57, 58],
@@ -2302,7 +2246,7 @@ export default {
     460: [2, 3, 4],
     470: [0, 1, 2],
     480: [0, 358, 359],
-    490: [358],
+    490: [358]
   },
   440: {
     0: [56, 57],
@@ -2354,7 +2298,7 @@ export default {
     460: [2, 3, 4],
     470: [0, 1, 2],
     480: [0, 358, 359],
-    490: [358, 359],
+    490: [358, 359]
   },
   450: {
     0: [55, 56],
@@ -2406,7 +2350,7 @@ export default {
     460: [2, 3, 4],
     470: [0, 1, 2],
     480: [0, 358, 359],
-    490: [358, 359],
+    490: [358, 359]
   },
   460: {
     0: [54, 55],
@@ -2458,7 +2402,7 @@ export default {
     460: [2, 3, 4],
     470: [0, 1, 2],
     480: [0, 358, 359],
-    490: [358],
+    490: [358]
   },
   470: {
     0: [54],
@@ -2510,7 +2454,7 @@ export default {
     460: [2, 3, 4],
     470: [0, 1, 2],
     480: [0, 1, 358, 359],
-    490: [358, 359],
+    490: [358, 359]
   },
   480: {
     0: [53, 54],
@@ -2562,7 +2506,7 @@ export default {
     460: [2, 3],
     470: [0, 1, 2],
     480: [0, 359],
-    490: [358],
+    490: [358]
   },
   490: {
     0: [52, 53],
@@ -2614,7 +2558,7 @@ export default {
     460: [2, 3, 4],
     470: [0, 1, 2],
     480: [0, 358, 359],
-    490: [358, 359],
+    490: [358, 359]
   },
   500: {
     0: [51, 52],
@@ -2666,7 +2610,7 @@ export default {
     460: [2, 3],
     470: [0, 1, 2],
     480: [0, 359],
-    490: [358, 359],
+    490: [358, 359]
   },
   510: {
     0: [51],
@@ -2718,7 +2662,7 @@ export default {
     460: [2, 3],
     470: [0, 1, 2],
     480: [0, 359],
-    490: [358, 359],
+    490: [358, 359]
   },
   520: {
     0: [50, 51],
@@ -2771,7 +2715,7 @@ export default {
     470: [0, 1, 2],
     480: [0, 359],
     490: [358, 359],
-    500: [358],
+    500: [358]
   },
   530: {
     0: [49, 50],
@@ -2823,7 +2767,7 @@ export default {
     460: [2, 3],
     470: [0, 1],
     480: [0, 359],
-    490: [358, 359],
+    490: [358, 359]
   },
   540: {
     0: [48, 49],
@@ -2876,7 +2820,7 @@ export default {
     470: [0, 1, 2],
     480: [0, 359],
     490: [358, 359],
-    500: [358],
+    500: [358]
   },
   550: {
     0: [48],
@@ -2928,7 +2872,7 @@ export default {
     460: [1, 2, 3],
     470: [0, 1, 2],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   560: {
     0: [47, 48],
@@ -2980,7 +2924,7 @@ export default {
     460: [2, 3],
     470: [0, 1],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   570: {
     0: [47],
@@ -3032,7 +2976,7 @@ export default {
     460: [1, 2, 3],
     470: [0, 1, 2],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   580: {
     0: [46, 47],
@@ -3084,7 +3028,7 @@ export default {
     460: [2, 3],
     470: [0, 1, 2],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   590: {
     0: [45, 46],
@@ -3136,7 +3080,7 @@ export default {
     460: [2, 3],
     470: [0, 1],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   600: {
     0: [45],
@@ -3188,7 +3132,7 @@ export default {
     460: [1, 2, 3],
     470: [0, 1, 2],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   610: {
     0: [44, 45],
@@ -3240,7 +3184,7 @@ export default {
     460: [2, 3],
     470: [0, 1],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   620: {
     0: [44],
@@ -3292,7 +3236,7 @@ export default {
     460: [2, 3],
     470: [0, 1],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   630: {
     0: [43, 44],
@@ -3344,7 +3288,7 @@ export default {
     460: [1, 2, 3],
     470: [0, 1, 2],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   640: {
     0: [42, 43],
@@ -3396,7 +3340,7 @@ export default {
     460: [2],
     470: [0, 1],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   650: {
     0: [42],
@@ -3448,7 +3392,7 @@ export default {
     460: [1, 2],
     470: [0, 1],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   660: {
     0: [41, 42],
@@ -3500,7 +3444,7 @@ export default {
     460: [1, 2, 3],
     470: [0, 1],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   670: {
     0: [41],
@@ -3552,7 +3496,7 @@ export default {
     460: [2],
     470: [1],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   680: {
     0: [40, 41],
@@ -3604,7 +3548,7 @@ export default {
     460: [1, 2],
     470: [0, 1],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   690: {
     0: [40],
@@ -3656,7 +3600,7 @@ export default {
     460: [1, 2],
     470: [0, 1],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   700: {
     0: [40],
@@ -3708,7 +3652,7 @@ export default {
     460: [1, 2],
     470: [1],
     480: [0],
-    490: [359],
+    490: [359]
   },
   710: {
     0: [39, 40],
@@ -3760,7 +3704,7 @@ export default {
     460: [2],
     470: [1],
     480: [0],
-    490: [359],
+    490: [359]
   },
   720: {
     0: [39],
@@ -3812,7 +3756,7 @@ export default {
     460: [1, 2],
     470: [0, 1],
     480: [0, 359],
-    490: [359],
+    490: [359]
   },
   730: {
     0: [38, 39],
@@ -3864,7 +3808,7 @@ export default {
     460: [1, 2],
     470: [0, 1],
     480: [0],
-    490: [359],
+    490: [359]
   },
   740: {
     0: [38],
@@ -3916,7 +3860,7 @@ export default {
     460: [2],
     470: [1],
     480: [0],
-    490: [359],
+    490: [359]
   },
   750: {
     0: [37, 38],
@@ -3969,7 +3913,7 @@ export default {
     470: [1],
     480: [0],
     490: [359],
-    500: [359],
+    500: [359]
   },
   760: {
     0: [37],
@@ -4022,7 +3966,7 @@ export default {
     470: [1],
     480: [0],
     490: [359],
-    500: [359],
+    500: [359]
   },
   770: {
     0: [36, 37],
@@ -4075,7 +4019,7 @@ export default {
     470: [1],
     480: [0],
     490: [359],
-    500: [359],
+    500: [359]
   },
   780: {
     0: [36],
@@ -4128,7 +4072,7 @@ export default {
     470: [1],
     480: [0],
     490: [359],
-    500: [359],
+    500: [359]
   },
   790: {
     0: [36],
@@ -4180,7 +4124,7 @@ export default {
     460: [1, 2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   800: {
     0: [35, 36],
@@ -4232,7 +4176,7 @@ export default {
     460: [1, 2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   810: {
     0: [35],
@@ -4283,7 +4227,7 @@ export default {
     450: [2, 3],
     460: [2],
     470: [1],
-    480: [0],
+    480: [0]
   },
   820: {
     0: [35],
@@ -4334,7 +4278,7 @@ export default {
     450: [2, 3],
     460: [1, 2],
     470: [1],
-    480: [0],
+    480: [0]
   },
   830: {
     0: [34],
@@ -4386,7 +4330,7 @@ export default {
     460: [1, 2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   840: {
     0: [34],
@@ -4438,7 +4382,7 @@ export default {
     460: [1, 2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   850: {
     0: [34],
@@ -4490,7 +4434,7 @@ export default {
     460: [2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   860: {
     0: [33],
@@ -4542,7 +4486,7 @@ export default {
     460: [2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   870: {
     0: [33],
@@ -4594,7 +4538,7 @@ export default {
     460: [1, 2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   880: {
     0: [32, 33],
@@ -4646,7 +4590,7 @@ export default {
     460: [1, 2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   890: {
     0: [32],
@@ -4698,7 +4642,7 @@ export default {
     460: [1, 2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   900: {
     0: [32],
@@ -4750,7 +4694,7 @@ export default {
     460: [2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   910: {
     0: [32],
@@ -4802,7 +4746,7 @@ export default {
     460: [2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   920: {
     0: [31],
@@ -4854,7 +4798,7 @@ export default {
     460: [1, 2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   930: {
     0: [31],
@@ -4906,7 +4850,7 @@ export default {
     460: [1, 2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   940: {
     0: [31],
@@ -4958,7 +4902,7 @@ export default {
     460: [1, 2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   950: {
     0: [30, 31],
@@ -5010,7 +4954,7 @@ export default {
     460: [2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   960: {
     0: [30],
@@ -5062,7 +5006,7 @@ export default {
     460: [2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   970: {
     0: [30],
@@ -5114,7 +5058,7 @@ export default {
     460: [2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   980: {
     0: [30],
@@ -5166,7 +5110,7 @@ export default {
     460: [2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   990: {
     0: [29],
@@ -5218,7 +5162,7 @@ export default {
     460: [2],
     470: [1],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   1000: {
     0: [29],
@@ -5270,7 +5214,7 @@ export default {
     460: [2],
     470: [1],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   1010: {
     0: [29],
@@ -5322,7 +5266,7 @@ export default {
     460: [2],
     470: [1],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   1020: {
     0: [29],
@@ -5374,7 +5318,7 @@ export default {
     460: [2],
     470: [1],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   1030: {
     0: [28],
@@ -5426,7 +5370,7 @@ export default {
     460: [2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   1040: {
     0: [28],
@@ -5478,7 +5422,7 @@ export default {
     460: [2],
     470: [1],
     480: [0],
-    490: [0],
+    490: [0]
   },
   1050: {
     0: [28],
@@ -5530,7 +5474,7 @@ export default {
     460: [2],
     470: [1],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   1060: {
     0: [28],
@@ -5582,7 +5526,7 @@ export default {
     460: [2],
     470: [1],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   1070: {
     0: [27],
@@ -5634,7 +5578,7 @@ export default {
     460: [2],
     470: [1],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   1080: {
     0: [27],
@@ -5686,7 +5630,7 @@ export default {
     460: [2],
     470: [1],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   1090: {
     0: [27],
@@ -5737,7 +5681,7 @@ export default {
     460: [2],
     470: [1],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   1100: {
     0: [27],
@@ -5789,7 +5733,7 @@ export default {
     460: [2],
     470: [1],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   1110: {
     0: [27],
@@ -5841,7 +5785,7 @@ export default {
     460: [2],
     470: [1],
     480: [0, 1],
-    490: [0],
+    490: [0]
   },
   1120: {
     0: [26],
@@ -5894,7 +5838,7 @@ export default {
     470: [1],
     480: [1],
     490: [0],
-    500: [0],
+    500: [0]
   },
   1130: {
     0: [26],
@@ -5947,7 +5891,7 @@ export default {
     470: [1],
     480: [1],
     490: [0],
-    500: [0],
+    500: [0]
   },
   1140: {
     0: [26],
@@ -5999,7 +5943,7 @@ export default {
     470: [1],
     480: [1],
     490: [0],
-    500: [0],
+    500: [0]
   },
   1150: {
     0: [26],
@@ -6052,7 +5996,7 @@ export default {
     470: [1],
     480: [1],
     490: [0],
-    500: [0],
+    500: [0]
   },
   1160: {
     0: [26],
@@ -6105,7 +6049,7 @@ export default {
     470: [1],
     480: [1],
     490: [0],
-    500: [0],
+    500: [0]
   },
   1170: {
     0: [25],
@@ -6156,7 +6100,7 @@ export default {
     460: [2],
     470: [1],
     480: [1],
-    490: [0],
+    490: [0]
   },
   1180: {
     0: [25],
@@ -6207,7 +6151,7 @@ export default {
     450: [2],
     460: [2],
     470: [1],
-    480: [1],
+    480: [1]
   },
   1190: {
     0: [25],
@@ -6258,6 +6202,6 @@ export default {
     450: [2],
     460: [2],
     470: [1],
-    480: [1],
-  },
+    480: [1]
+  }
 };
@@ -0,0 +1,6210 @@
+// Firing Table Data for World 11
+// Cannonball size level 5 (radius 12.0px)
+// Generated on 2026-10-19T18:31:51.899Z
+export default {
+  0: {
+    0: [103, 104, 105],
+    10: [103, 104, 105, 106],
+    20: [104, 105, 106],
+    30: [104, 105, 106],
+    40: [104, 105, 106, 107],
+    50: [105, 106, 107],
+    60: [105, 106, 107],
+    70: [105, 106, 107, 108],
+    80: [105, 106, 107, 108],
+    90: [106, 107, 108, 109],
+    100: [106, 107, 108, 109],
+    110: [107, 108, 109, 110],
+    120: [107, 108, 109, 110],
+    130: [107, 108, 109, 110, 111],
+    140: [108, 109, 110, 111],
+    150: [108, 109, 110, 111, 112],
+    160: [109, 110, 111, 112, 113],
+    170: [110, 111, 112, 113],
+    180: [110, 111, 112, 113, 114],
+    190: [111, 112, 113, 114],
+    200: [111, 112, 113, 114, 115, 116],
+    210: [113, 114, 115, 116],
+    220: [113, 114, 115, 116, 117],
+    230: [114, 115, 116, 117, 118],
+    240: [114, 115, 116, 117, 118, 119, 120],
+    250: [116, 117, 118, 119, 120],
+    260: [116, 117, 118, 119, 120, 121, 122],
+    270: [118, 119, 120, 121, 122, 123],
+    280: [119, 120, 121, 122, 123, 124, 125],
+    290: [121, 122, 123, 124, 125],
+    300: [121, 122, 123, 124, 125, 126, 127, 128],
+    310: [123, 124, 125, 126, 127, 128, 129],
+    320: [124, 125, 126, 127, 128, 129, 130, 131],
+    330: [126, 127, 128, 129, 130, 131, 132, 133],
+    340: [128, 129, 130, 131, 132, 133, 134, 135],
+    350: [130, 131, 132, 133, 134, 135, 136, 137, 138],
+    360: [133, 134, 135, 136, 137, 138, 139],
+    370: [134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    380: [137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    390: [141, 142, 143, 144, 145, 146, 147, 148],
+    400: [143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    410: [146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    420: [150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    430: [155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    440: [158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    450: [162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [181, 182, 183, 184, 185, 186],
+    500: [186]
+  },
+  10: {
+    0: [102, 103, 104],
+    10: [102, 103, 104],
+    20: [102, 103, 104, 105],
+    30: [103, 104, 105],
+    40: [103, 104, 105],
+    50: [103, 104, 105],
+    60: [103, 104, 105, 106],
+    70: [104, 105, 106],
+    80: [104, 105, 106, 107],
+    90: [104, 105, 106, 107],
+    100: [105, 106, 107],
+    110: [105, 106, 107, 108],
+    120: [106, 107, 108, 109],
+    130: [106, 107, 108, 109],
+    140: [106, 107, 108, 109, 110],
+    150: [107, 108, 109, 110],
+    160: [107, 108, 109, 110, 111],
+    170: [108, 109, 110, 111],
+    180: [108, 109, 110, 111, 112],
+    190: [109, 110, 111, 112, 113],
+    200: [110, 111, 112, 113, 114],
+    210: [110, 111, 112, 113, 114, 115],
+    220: [111, 112, 113, 114, 115, 116],
+    230: [112, 113, 114, 115, 116],
+    240: [113, 114, 115, 116, 117],
+    250: [113, 114, 115, 116, 117, 118, 119],
+    260: [115, 116, 117, 118, 119, 120],
+    270: [115, 116, 117, 118, 119, 120, 121],
+    280: [117, 118, 119, 120, 121, 122],
+    290: [118, 119, 120, 121, 122, 123, 124],
+    300: [119, 120, 121, 122, 123, 124, 125],
+    310: [120, 121, 122, 123, 124, 125, 126, 127],
+    320: [122, 123, 124, 125, 126, 127, 128, 129],
+    330: [124, 125, 126, 127, 128, 129, 130],
+    340: [125, 126, 127, 128, 129, 130, 131, 132, 133],
+    350: [128, 129, 130, 131, 132, 133, 134, 135],
+    360: [129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    370: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    380: [135, 136, 137, 138, 139, 140, 141, 142, 143],
+    390: [137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    400: [140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    410: [145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    420: [148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    430: [151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    440: [156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    450: [161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    490: [182, 183, 184, 185, 186, 187]
+  },
+  20: {
+    0: [101, 102, 103],
+    10: [101, 102, 103],
+    20: [101, 102, 103],
+    30: [102, 103, 104],
+    40: [102, 103, 104],
+    50: [102, 103, 104],
+    60: [102, 103, 104, 105],
+    70: [102, 103, 104, 105],
+    80: [103, 104, 105],
+    90: [103, 104, 105, 106],
+    100: [103, 104, 105, 106],
+    110: [104, 105, 106, 107],
+    120: [104, 105, 106, 107],
+    130: [105, 106, 107],
+    140: [105, 106, 107, 108],
+    150: [105, 106, 107, 108, 109],
+    160: [106, 107, 108, 109],
+    170: [106, 107, 108, 109, 110],
+    180: [107, 108, 109, 110, 111],
+    190: [107, 108, 109, 110, 111],
+    200: [108, 109, 110, 111, 112],
+    210: [108, 109, 110, 111, 112, 113],
+    220: [109, 110, 111, 112, 113],
+    230: [110, 111, 112, 113, 114, 115],
+    240: [111, 112, 113, 114, 115],
+    250: [111, 112, 113, 114, 115, 116, 117],
+    260: [113, 114, 115, 116, 117],
+    270: [113, 114, 115, 116, 117, 118, 119],
+    280: [115, 116, 117, 118, 119, 120],
+    290: [115, 116, 117, 118, 119, 120, 121, 122],
+    300: [117, 118, 119, 120, 121, 122],
+    310: [118, 119, 120, 121, 122, 123, 124, 125],
+    320: [120, 121, 122, 123, 124, 125, 126],
+    330: [121, 122, 123, 124, 125, 126, 127, 128, 129],
+    340: [123, 124, 125, 126, 127, 128, 129, 130],
+    350: [124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    360: [126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    370: [129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    380: [131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    390: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    400: [138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    410: [141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    420: [145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    430: [151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    440: [154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167],
+    450: [159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    480: [175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    490: [181, 182, 183, 184, 185, 186, 187],
+    500: [187]
+  },
+  30: {
+    0: [100, 101, 102],
+    10: [100, 101, 102],
+    20: [100, 101, 102],
+    30: [100, 101, 102],
+    40: [100, 101, 102, 103],
+    50: [101, 102, 103],
+    60: [101, 102, 103],
+    70: [101, 102, 103, 104],
+    80: [101, 102, 103, 104],
+    90: [102, 103, 104, 105],
+    100: [102, 103, 104, 105],
+    110: [102, 103, 104, 105],
+    120: [102, 103, 104, 105, 106],
+    130: [103, 104, 105, 106],
+    140: [103, 104, 105, 106, 107],
+    150: [104, 105, 106, 107],
+    160: [104, 105, 106, 107, 108],
+    170: [104, 105, 106, 107, 108],
+    180: [105, 106, 107, 108, 109],
+    190: [105, 106, 107, 108, 109, 110],
+    200: [106, 107, 108, 109, 110],
+    210: [106, 107, 108, 109, 110, 111],
+    220: [107, 108, 109, 110, 111, 112],
+    230: [108, 109, 110, 111, 112, 113],
+    240: [108, 109, 110, 111, 112, 113],
+    250: [109, 110, 111, 112, 113, 114],
+    260: [110, 111, 112, 113, 114, 115],
+    270: [111, 112, 113, 114, 115, 116],
+    280: [112, 113, 114, 115, 116, 117, 118],
+    290: [113, 114, 115, 116, 117, 118, 119],
+    300: [114, 115, 116, 117, 118, 119, 120, 121],
+    310: [115, 116, 117, 118, 119, 120, 121, 122],
+    320: [116, 117, 118, 119, 120, 121, 122, 123, 124],
+    330: [118, 119, 120, 121, 122, 123, 124, 125, 126],
+    340: [120, 121, 122, 123, 124, 125, 126, 127, 128],
+    350: [121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    360: [124, 125, 126, 127, 128, 129, 130, 131, 132],
+    370: [125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    380: [129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    390: [131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    400: [134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    410: [139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    420: [142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    430: [146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    440: [151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    460: [164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177],
+    470: [171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189],
+    490: [183, 184, 185, 186, 187, 188, 189]
+  },
+  40: {
+    0: [98, 99, 100, 101],
+    10: [99, 100, 101],
+    20: [99, 100, 101],
+    30: [99, 100, 101],
+    40: [99, 100, 101, 102],
+    50: [99, 100, 101, 102],
+    60: [100, 101, 102],
+    70: [100, 101, 102, 103],
+    80: [100, 101, 102, 103],
+    90: [100, 101, 102, 103],
+    100: [100, 101, 102, 103, 104],
+    110: [101, 102, 103, 104],
+    120: [101, 102, 103, 104],
+    130: [101, 102, 103, 104, 105],
+    140: [102, 103, 104, 105],
+    150: [102, 103, 104, 105, 106],
+    160: [103, 104, 105, 106],
+    170: [103, 104, 105, 106, 107],
+    180: [103, 104, 105, 106, 107],
+    190: [104, 105, 106, 107, 108],
+    200: [104, 105, 106, 107, 108],
+    210: [105, 106, 107, 108, 109],
+    220: [105, 106, 107, 108, 109, 110],
+    230: [106, 107, 108, 109, 110],
+    240: [106, 107, 108, 109, 110, 111],
+    250: [107, 108, 109, 110, 111, 112],
+    260: [107, 108, 109, 110, 111, 112, 113],
+    270: [109, 110, 111, 112, 113, 114],
+    280: [109, 110, 111, 112, 113, 114, 115, 116],
+    290: [111, 112, 113, 114, 115, 116],
+    300: [111, 112, 113, 114, 115, 116, 117, 118],
+    310: [113, 114, 115, 116, 117, 118, 119],
+    320: [113, 114, 115, 116, 117, 118, 119, 120, 121],
+    330: [116, 117, 118, 119, 120, 121, 122],
+    340: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    350: [119, 120, 121, 122, 123, 124, 125, 126, 127],
+    360: [120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    370: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    380: [125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    390: [127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    400: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    410: [134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    420: [138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    430: [144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    440: [149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    450: [154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    460: [160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    480: [174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189],
+    490: [181, 182, 183, 184, 185, 186, 187, 188, 189],
+    500: [188, 189]
+  },
+  50: {
+    0: [97, 98, 99],
+    10: [98, 99],
+    20: [97, 98, 99, 100],
+    30: [98, 99, 100],
+    40: [98, 99, 100],
+    50: [98, 99, 100, 101],
+    60: [98, 99, 100, 101],
+    70: [98, 99, 100, 101],
+    80: [99, 100, 101],
+    90: [99, 100, 101],
+    100: [99, 100, 101, 102],
+    110: [99, 100, 101, 102],
+    120: [100, 101, 102, 103],
+    130: [100, 101, 102, 103],
+    140: [100, 101, 102, 103],
+    150: [100, 101, 102, 103, 104],
+    160: [101, 102, 103, 104],
+    170: [101, 102, 103, 104, 105],
+    180: [101, 102, 103, 104, 105],
+    190: [102, 103, 104, 105, 106],
+    200: [102, 103, 104, 105, 106, 107],
+    210: [103, 104, 105, 106, 107],
+    220: [103, 104, 105, 106, 107, 108],
+    230: [104, 105, 106, 107, 108],
+    240: [104, 105, 106, 107, 108, 109],
+    250: [105, 106, 107, 108, 109, 110],
+    260: [105, 106, 107, 108, 109, 110, 111],
+    270: [106, 107, 108, 109, 110, 111, 112],
+    280: [107, 108, 109, 110, 111, 112, 113],
+    290: [107, 108, 109, 110, 111, 112, 113, 114],
+    300: [108, 109, 110, 111, 112, 113, 114, 115],
+    310: [109, 110, 111, 112, 113, 114, 115, 116, 117],
+    320: [110, 111, 112, 113, 114, 115, 116, 117, 118],
+    330: [112, 113, 114, 115, 116, 117, 118, 119, 120],
+    340: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    350: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    360: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    370: [119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    380: [120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    390: [124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    400: [126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    410: [130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    420: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    430: [138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    440: [144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    490: [184, 185, 186, 187, 188, 189, 190, 191, 192]
+  },
+  60: {
+    0: [96, 97, 98],
+    10: [96, 97, 98],
+    20: [96, 97, 98, 99],
+    30: [96, 97, 98, 99],
+    40: [97, 98, 99],
+    50: [97, 98, 99],
+    60: [97, 98, 99, 100],
+    70: [97, 98, 99, 100],
+    80: [97, 98, 99, 100],
+    90: [98, 99, 100],
+    100: [98, 99, 100, 101],
+    110: [98, 99, 100, 101],
+    120: [98, 99, 100, 101],
+    130: [98, 99, 100, 101, 102],
+    140: [99, 100, 101, 102],
+    150: [99, 100, 101, 102],
+    160: [99, 100, 101, 102, 103],
+    170: [99, 100, 101, 102, 103],
+    180: [99, 100, 101, 102, 103, 104],
+    190: [100, 101, 102, 103, 104],
+    200: [100, 101, 102, 103, 104, 105],
+    210: [101, 102, 103, 104, 105],
+    220: [101, 102, 103, 104, 105, 106],
+    230: [101, 102, 103, 104, 105, 106],
+    240: [102, 103, 104, 105, 106, 107],
+    250: [102, 103, 104, 105, 106, 107, 108],
+    260: [103, 104, 105, 106, 107, 108],
+    270: [103, 104, 105, 106, 107, 108, 109],
+    280: [104, 105, 106, 107, 108, 109, 110],
+    290: [104, 105, 106, 107, 108, 109, 110, 111, 112],
+    300: [106, 107, 108, 109, 110, 111, 112],
+    310: [106, 107, 108, 109, 110, 111, 112, 113, 114],
+    320: [108, 109, 110, 111, 112, 113, 114],
+    330: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    340: [110, 111, 112, 113, 114, 115, 116, 117, 118],
+    350: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    360: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    370: [114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    380: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    390: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    400: [121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    410: [126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    420: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    430: [134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    440: [141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    450: [146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    460: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    490: [181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    500: [191, 192]
+  },
+  70: {
+    0: [95, 96, 97],
+    10: [95, 96, 97],
+    20: [95, 96, 97],
+    30: [95, 96, 97, 98],
+    40: [95, 96, 97, 98],
+    50: [95, 96, 97, 98],
+    60: [95, 96, 97, 98],
+    70: [96, 97, 98],
+    80: [96, 97, 98, 99],
+    90: [96, 97, 98, 99],
+    100: [96, 97, 98, 99],
+    110: [96, 97, 98, 99],
+    120: [97, 98, 99],
+    130: [96, 97, 98, 99, 100],
+    140: [97, 98, 99, 100],
+    150: [97, 98, 99, 100, 101],
+    160: [97, 98, 99, 100, 101],
+    170: [98, 99, 100, 101],
+    180: [97, 98, 99, 100, 101, 102],
+    190: [98, 99, 100, 101, 102],
+    200: [98, 99, 100, 101, 102, 103],
+    210: [98, 99, 100, 101, 102, 103],
+    220: [99, 100, 101, 102, 103],
+    230: [99, 100, 101, 102, 103, 104],
+    240: [100, 101, 102, 103, 104],
+    250: [100, 101, 102, 103, 104, 105],
+    260: [101, 102, 103, 104, 105],
+    270: [100, 101, 102, 103, 104, 105, 106, 107],
+    280: [102, 103, 104, 105, 106, 107],
+    290: [101, 102, 103, 104, 105, 106, 107, 108, 109],
+    300: [103, 104, 105, 106, 107, 108, 109],
+    310: [103, 104, 105, 106, 107, 108, 109, 110, 111],
+    320: [104, 105, 106, 107, 108, 109, 110, 111, 112],
+    330: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    340: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    350: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    360: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    370: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    380: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    390: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    400: [117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    410: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    420: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    430: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    440: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    450: [141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    460: [152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    490: [185, 186, 187, 188, 189, 190, 191, 192]
+  },
+  80: {
+    0: [94, 95, 96],
+    10: [94, 95, 96],
+    20: [94, 95, 96],
+    30: [94, 95, 96],
+    40: [94, 95, 96],
+    50: [94, 95, 96, 97],
+    60: [94, 95, 96, 97],
+    70: [94, 95, 96, 97],
+    80: [94, 95, 96, 97],
+    90: [94, 95, 96, 97],
+    100: [95, 96, 97],
+    110: [95, 96, 97, 98],
+    120: [95, 96, 97, 98],
+    130: [95, 96, 97, 98],
+    140: [95, 96, 97, 98, 99],
+    150: [95, 96, 97, 98, 99],
+    160: [95, 96, 97, 98, 99],
+    170: [96, 97, 98, 99],
+    180: [96, 97, 98, 99, 100],
+    190: [96, 97, 98, 99, 100],
+    200: [96, 97, 98, 99, 100],
+    210: [96, 97, 98, 99, 100, 101],
+    220: [97, 98, 99, 100, 101],
+    230: [97, 98, 99, 100, 101, 102],
+    240: [97, 98, 99, 100, 101, 102],
+    250: [97, 98, 99, 100, 101, 102, 103],
+    260: [98, 99, 100, 101, 102, 103],
+    270: [98, 99, 100, 101, 102, 103, 104],
+    280: [98, 99, 100, 101, 102, 103, 104, 105],
+    290: [99, 100, 101, 102, 103, 104, 105, 106],
+    300: [99, 100, 101, 102, 103, 104, 105, 106, 107],
+    310: [100, 101, 102, 103, 104, 105, 106, 107, 108],
+    320: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    330: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    340: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    350: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    360: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    370: [105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    380: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    390: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    400: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    410: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    420: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    430: [119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    440: [127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    450: [142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154]
+  },
+  90: {
+    0: [92, 93, 94, 95],
+    10: [93, 94, 95],
+    20: [93, 94, 95],
+    30: [93, 94, 95],
+    40: [93, 94, 95],
+    50: [93, 94, 95],
+    60: [93, 94, 95, 96],
+    70: [93, 94, 95],
+    80: [93, 94, 95, 96],
+    90: [93, 94, 95, 96],
+    100: [93, 94, 95, 96],
+    110: [93, 94, 95, 96],
+    120: [93, 94, 95, 96],
+    130: [93, 94, 95, 96, 97],
+    140: [93, 94, 95, 96, 97],
+    150: [94, 95, 96, 97],
+    160: [93, 94, 95, 96, 97],
+    170: [94, 95, 96, 97],
+    180: [94, 95, 96, 97, 98],
+    190: [94, 95, 96, 97, 98],
+    200: [94, 95, 96, 97, 98],
+    210: [94, 95, 96, 97, 98, 99],
+    220: [95, 96, 97, 98, 99],
+    230: [94, 95, 96, 97, 98, 99, 100],
+    240: [95, 96, 97, 98, 99, 100],
+    250: [95, 96, 97, 98, 99, 100, 101],
+    260: [95, 96, 97, 98, 99, 100, 101],
+    270: [95, 96, 97, 98, 99, 100, 101, 102],
+    280: [95, 96, 97, 98, 99, 100, 101, 102],
+    290: [96, 97, 98, 99, 100, 101, 102, 103],
+    300: [96, 97, 98, 99, 100, 101, 102, 103, 104],
+    310: [97, 98, 99, 100, 101, 102, 103, 104],
+    320: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    330: [98, 99, 100, 101, 102, 103, 104, 105, 106],
+    340: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    350: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    360: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    370: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    380: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    390: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    400: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    410: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    420: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    430: [111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    440: [128, 129, 130, 131, 132, 133]
+  },
+  100: {
+    0: [91, 92, 93, 94],
+    10: [91, 92, 93, 94],
+    20: [91, 92, 93, 94],
+    30: [91, 92, 93, 94],
+    40: [91, 92, 93, 94],
+    50: [91, 92, 93, 94],
+    60: [91, 92, 93, 94],
+    70: [92, 93, 94],
+    80: [91, 92, 93, 94],
+    90: [91, 92, 93, 94, 95],
+    100: [92, 93, 94],
+    110: [91, 92, 93, 94, 95],
+    120: [92, 93, 94, 95],
+    130: [92, 93, 94, 95],
+    140: [92, 93, 94, 95],
+    150: [92, 93, 94, 95],
+    160: [92, 93, 94, 95, 96],
+    170: [92, 93, 94, 95, 96],
+    180: [92, 93, 94, 95, 96],
+    190: [92, 93, 94, 95, 96],
+    200: [92, 93, 94, 95, 96],
+    210: [92, 93, 94, 95, 96, 97],
+    220: [93, 94, 95, 96],
+    230: [92, 93, 94, 95, 96, 97],
+    240: [92, 93, 94, 95, 96, 97],
+    250: [92, 93, 94, 95, 96, 97, 98],
+    260: [92, 93, 94, 95, 96, 97, 98],
+    270: [92, 93, 94, 95, 96, 97, 98, 99],
+    280: [92, 93, 94, 95, 96, 97, 98, 99],
+    290: [93, 94, 95, 96, 97, 98, 99],
+    300: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    310: [94, 95, 96, 97, 98, 99, 100],
+    320: [93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    330: [94, 95, 96, 97, 98, 99, 100, 101, 102],
+    340: [93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    350: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    360: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    370: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    380: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    390: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    400: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    410: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    420: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    430: [105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123]
+  },
+  110: {
+    0: [90, 91, 92],
+    10: [90, 91, 92],
+    20: [90, 91, 92],
+    30: [90, 91, 92, 93],
+    40: [90, 91, 92, 93],
+    50: [90, 91, 92, 93],
+    60: [90, 91, 92, 93],
+    70: [90, 91, 92, 93],
+    80: [90, 91, 92, 93],
+    90: [90, 91, 92, 93],
+    100: [90, 91, 92, 93],
+    110: [90, 91, 92, 93],
+    120: [90, 91, 92, 93],
+    130: [90, 91, 92, 93],
+    140: [90, 91, 92, 93, 94],
+    150: [90, 91, 92, 93],
+    160: [90, 91, 92, 93, 94],
+    170: [90, 91, 92, 93, 94],
+    180: [90, 91, 92, 93, 94],
+    190: [90, 91, 92, 93, 94],
+    200: [90, 91, 92, 93, 94],
+    210: [90, 91, 92, 93, 94, 95],
+    220: [90, 91, 92, 93, 94],
+    230: [90, 91, 92, 93, 94, 95],
+    240: [90, 91, 92, 93, 94, 95],
+    250: [90, 91, 92, 93, 94, 95],
+    260: [90, 91, 92, 93, 94, 95, 96],
+    270: [90, 91, 92, 93, 94, 95, 96],
+    280: [89, 90, 91, 92, 93, 94, 95, 96],
+    290: [90, 91, 92, 93, 94, 95, 96],
+    300: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    310: [90, 91, 92, 93, 94, 95, 96, 97],
+    320: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    330: [90, 91, 92, 93, 94, 95, 96, 97, 98],
+    340: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    350: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    360: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    370: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    380: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    390: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    400: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    410: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    420: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    430: [100, 101, 102, 103, 104, 105]
+  },
+  120: {
+    0: [89, 90, 91],
+    10: [89, 90, 91],
+    20: [89, 90, 91],
+    30: [89, 90, 91],
+    40: [89, 90, 91],
+    50: [89, 90, 91],
+    60: [89, 90, 91],
+    70: [89, 90, 91],
+    80: [89, 90, 91],
+    90: [88, 89, 90, 91, 92],
+    100: [89, 90, 91],
+    110: [88, 89, 90, 91, 92],
+    120: [88, 89, 90, 91, 92],
+    130: [88, 89, 90, 91, 92],
+    140: [88, 89, 90, 91, 92],
+    150: [89, 90, 91],
+    160: [88, 89, 90, 91, 92],
+    170: [88, 89, 90, 91, 92],
+    180: [88, 89, 90, 91, 92],
+    190: [88, 89, 90, 91, 92],
+    200: [88, 89, 90, 91, 92],
+    210: [87, 88, 89, 90, 91, 92, 93],
+    220: [88, 89, 90, 91, 92],
+    230: [87, 88, 89, 90, 91, 92, 93],
+    240: [87, 88, 89, 90, 91, 92, 93],
+    250: [87, 88, 89, 90, 91, 92, 93],
+    260: [87, 88, 89, 90, 91, 92, 93],
+    270: [87, 88, 89, 90, 91, 92, 93],
+    280: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    290: [87, 88, 89, 90, 91, 92, 93],
+    300: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    310: [87, 88, 89, 90, 91, 92, 93],
+    320: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    330: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    340: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    350: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    360: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    370: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    380: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    390: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    400: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    410: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    420: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103]
+  },
+  130: {
+    0: [88, 89, 90],
+    10: [88, 89, 90],
+    20: [88, 89, 90],
+    30: [87, 88, 89, 90],
+    40: [87, 88, 89, 90],
+    50: [87, 88, 89, 90],
+    60: [87, 88, 89, 90],
+    70: [87, 88, 89, 90],
+    80: [87, 88, 89, 90],
+    90: [87, 88, 89, 90],
+    100: [87, 88, 89, 90],
+    110: [87, 88, 89, 90],
+    120: [87, 88, 89, 90],
+    130: [87, 88, 89, 90],
+    140: [86, 87, 88, 89, 90],
+    150: [87, 88, 89, 90],
+    160: [86, 87, 88, 89, 90],
+    170: [86, 87, 88, 89, 90],
+    180: [86, 87, 88, 89, 90],
+    190: [86, 87, 88, 89, 90],
+    200: [86, 87, 88, 89, 90],
+    210: [85, 86, 87, 88, 89, 90],
+    220: [86, 87, 88, 89, 90],
+    230: [85, 86, 87, 88, 89, 90],
+    240: [85, 86, 87, 88, 89, 90],
+    250: [85, 86, 87, 88, 89, 90],
+    260: [84, 85, 86, 87, 88, 89, 90],
+    270: [84, 85, 86, 87, 88, 89, 90],
+    280: [84, 85, 86, 87, 88, 89, 90, 91],
+    290: [84, 85, 86, 87, 88, 89, 90],
+    300: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    310: [83, 84, 85, 86, 87, 88, 89, 90],
+    320: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    330: [82, 83, 84, 85, 86, 87, 88, 89, 90],
+    340: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    350: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    360: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    370: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    380: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    390: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    400: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    410: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    420: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    430: [75, 76, 77, 78, 79, 80]
+  },
+  140: {
+    0: [86, 87, 88, 89],
+    10: [86, 87, 88, 89],
+    20: [86, 87, 88, 89],
+    30: [86, 87, 88, 89],
+    40: [86, 87, 88, 89],
+    50: [86, 87, 88, 89],
+    60: [86, 87, 88, 89],
+    70: [86, 87, 88],
+    80: [86, 87, 88, 89],
+    90: [85, 86, 87, 88, 89],
+    100: [86, 87, 88],
+    110: [85, 86, 87, 88, 89],
+    120: [85, 86, 87, 88],
+    130: [85, 86, 87, 88],
+    140: [85, 86, 87, 88],
+    150: [85, 86, 87, 88],
+    160: [84, 85, 86, 87, 88],
+    170: [84, 85, 86, 87, 88],
+    180: [84, 85, 86, 87, 88],
+    190: [84, 85, 86, 87, 88],
+    200: [84, 85, 86, 87, 88],
+    210: [83, 84, 85, 86, 87, 88],
+    220: [84, 85, 86, 87],
+    230: [83, 84, 85, 86, 87, 88],
+    240: [83, 84, 85, 86, 87, 88],
+    250: [82, 83, 84, 85, 86, 87, 88],
+    260: [82, 83, 84, 85, 86, 87, 88],
+    270: [81, 82, 83, 84, 85, 86, 87, 88],
+    280: [81, 82, 83, 84, 85, 86, 87, 88],
+    290: [81, 82, 83, 84, 85, 86, 87],
+    300: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    310: [80, 81, 82, 83, 84, 85, 86],
+    320: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87],
+    330: [78, 79, 80, 81, 82, 83, 84, 85, 86],
+    340: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87],
+    350: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
+    360: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
+    370: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
+    380: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
+    390: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
+    400: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
+    410: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
+    420: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
+    430: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75]
+  },
+  150: {
+    0: [85, 86, 87, 88],
+    10: [85, 86, 87],
+    20: [85, 86, 87],
+    30: [85, 86, 87],
+    40: [85, 86, 87],
+    50: [85, 86, 87],
+    60: [84, 85, 86, 87],
+    70: [85, 86, 87],
+    80: [84, 85, 86, 87],
+    90: [84, 85, 86, 87],
+    100: [84, 85, 86, 87],
+    110: [84, 85, 86, 87],
+    120: [84, 85, 86, 87],
+    130: [83, 84, 85, 86, 87],
+    140: [83, 84, 85, 86, 87],
+    150: [83, 84, 85, 86],
+    160: [83, 84, 85, 86, 87],
+    170: [83, 84, 85, 86],
+    180: [82, 83, 84, 85, 86],
+    190: [82, 83, 84, 85, 86],
+    200: [82, 83, 84, 85, 86],
+    210: [81, 82, 83, 84, 85, 86],
+    220: [81, 82, 83, 84, 85],
+    230: [80, 81, 82, 83, 84, 85, 86],
+    240: [80, 81, 82, 83, 84, 85],
+    250: [79, 80, 81, 82, 83, 84, 85],
+    260: [79, 80, 81, 82, 83, 84, 85],
+    270: [78, 79, 80, 81, 82, 83, 84, 85],
+    280: [78, 79, 80, 81, 82, 83, 84, 85],
+    290: [77, 78, 79, 80, 81, 82, 83, 84],
+    300: [76, 77, 78, 79, 80, 81, 82, 83, 84],
+    310: [76, 77, 78, 79, 80, 81, 82, 83],
+    320: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
+    330: [74, 75, 76, 77, 78, 79, 80, 81, 82],
+    340: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
+    350: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
+    360: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
+    370: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
+    380: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
+    390: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
+    400: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
+    410: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
+    420: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
+    430: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
+    440: [47, 48, 49, 50, 51, 52]
+  },
+  160: {
+    0: [84, 85, 86],
+    10: [84, 85, 86],
+    20: [84, 85, 86],
+    30: [84, 85, 86],
+    40: [84, 85, 86],
+    50: [83, 84, 85, 86],
+    60: [83, 84, 85, 86],
+    70: [83, 84, 85, 86],
+    80: [83, 84, 85, 86],
+    90: [83, 84, 85, 86],
+    100: [83, 84, 85],
+    110: [82, 83, 84, 85],
+    120: [82, 83, 84, 85],
+    130: [82, 83, 84, 85],
+    140: [81, 82, 83, 84, 85],
+    150: [81, 82, 83, 84, 85],
+    160: [81, 82, 83, 84, 85],
+    170: [81, 82, 83, 84],
+    180: [80, 81, 82, 83, 84],
+    190: [80, 81, 82, 83, 84],
+    200: [80, 81, 82, 83, 84],
+    210: [79, 80, 81, 82, 83, 84],
+    220: [79, 80, 81, 82, 83],
+    230: [78, 79, 80, 81, 82, 83],
+    240: [78, 79, 80, 81, 82, 83],
+    250: [77, 78, 79, 80, 81, 82, 83],
+    260: [77, 78, 79, 80, 81, 82],
+    270: [76, 77, 78, 79, 80, 81, 82],
+    280: [75, 76, 77, 78, 79, 80, 81, 82],
+    290: [74, 75, 76, 77, 78, 79, 80, 81],
+    300: [73, 74, 75, 76, 77, 78, 79, 80, 81],
+    310: [72, 73, 74, 75, 76, 77, 78, 79, 80],
+    320: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
+    330: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
+    340: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
+    350: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
+    360: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
+    370: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75],
+    380: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
+    390: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
+    400: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    410: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    420: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    430: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    440: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    450: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38]
+  },
+  170: {
+    0: [83, 84, 85],
+    10: [83, 84, 85],
+    20: [83, 84, 85],
+    30: [82, 83, 84, 85],
+    40: [82, 83, 84, 85],
+    50: [82, 83, 84, 85],
+    60: [82, 83, 84, 85],
+    70: [82, 83, 84],
+    80: [81, 82, 83, 84],
+    90: [81, 82, 83, 84],
+    100: [81, 82, 83, 84],
+    110: [81, 82, 83, 84],
+    120: [81, 82, 83],
+    130: [80, 81, 82, 83, 84],
+    140: [80, 81, 82, 83],
+    150: [79, 80, 81, 82, 83],
+    160: [79, 80, 81, 82, 83],
+    170: [79, 80, 81, 82],
+    180: [78, 79, 80, 81, 82, 83],
+    190: [78, 79, 80, 81, 82],
+    200: [77, 78, 79, 80, 81, 82],
+    210: [77, 78, 79, 80, 81, 82],
+    220: [77, 78, 79, 80, 81],
+    230: [76, 77, 78, 79, 80, 81],
+    240: [76, 77, 78, 79, 80],
+    250: [75, 76, 77, 78, 79, 80],
+    260: [75, 76, 77, 78, 79],
+    270: [73, 74, 75, 76, 77, 78, 79, 80],
+    280: [73, 74, 75, 76, 77, 78],
+    290: [71, 72, 73, 74, 75, 76, 77, 78, 79],
+    300: [71, 72, 73, 74, 75, 76, 77],
+    310: [69, 70, 71, 72, 73, 74, 75, 76, 77],
+    320: [68, 69, 70, 71, 72, 73, 74, 75, 76],
+    330: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
+    340: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
+    350: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
+    360: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
+    370: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
+    380: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    390: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    400: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    410: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    420: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    440: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    450: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [348, 349, 350, 351, 352, 353, 354, 355]
+  },
+  180: {
+    0: [82, 83, 84],
+    10: [82, 83, 84],
+    20: [81, 82, 83, 84],
+    30: [81, 82, 83, 84],
+    40: [81, 82, 83],
+    50: [81, 82, 83],
+    60: [80, 81, 82, 83],
+    70: [80, 81, 82, 83],
+    80: [80, 81, 82, 83],
+    90: [80, 81, 82],
+    100: [79, 80, 81, 82],
+    110: [79, 80, 81, 82],
+    120: [79, 80, 81, 82],
+    130: [78, 79, 80, 81, 82],
+    140: [78, 79, 80, 81],
+    150: [78, 79, 80, 81],
+    160: [77, 78, 79, 80, 81],
+    170: [77, 78, 79, 80, 81],
+    180: [76, 77, 78, 79, 80, 81],
+    190: [76, 77, 78, 79, 80],
+    200: [75, 76, 77, 78, 79, 80],
+    210: [75, 76, 77, 78, 79],
+    220: [74, 75, 76, 77, 78, 79],
+    230: [74, 75, 76, 77, 78, 79],
+    240: [73, 74, 75, 76, 77, 78],
+    250: [72, 73, 74, 75, 76, 77, 78],
+    260: [72, 73, 74, 75, 76, 77],
+    270: [71, 72, 73, 74, 75, 76, 77],
+    280: [70, 71, 72, 73, 74, 75, 76],
+    290: [68, 69, 70, 71, 72, 73, 74, 75, 76],
+    300: [68, 69, 70, 71, 72, 73, 74],
+    310: [66, 67, 68, 69, 70, 71, 72, 73, 74],
+    320: [66, 67, 68, 69, 70, 71, 72],
+    330: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
+    340: [62, 63, 64, 65, 66, 67, 68, 69, 70],
+    350: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    360: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    370: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    380: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    390: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    400: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    410: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    420: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    430: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    440: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39],
+    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [348, 349]
+  },
+  190: {
+    0: [81, 82, 83],
+    10: [81, 82],
+    20: [80, 81, 82, 83],
+    30: [80, 81, 82],
+    40: [80, 81, 82],
+    50: [79, 80, 81, 82],
+    60: [79, 80, 81, 82],
+    70: [79, 80, 81, 82],
+    80: [79, 80, 81],
+    90: [79, 80, 81],
+    100: [78, 79, 80, 81],
+    110: [78, 79, 80, 81],
+    120: [77, 78, 79, 80],
+    130: [77, 78, 79, 80],
+    140: [77, 78, 79, 80],
+    150: [76, 77, 78, 79, 80],
+    160: [76, 77, 78, 79],
+    170: [75, 76, 77, 78, 79],
+    180: [75, 76, 77, 78, 79],
+    190: [74, 75, 76, 77, 78],
+    200: [73, 74, 75, 76, 77, 78],
+    210: [73, 74, 75, 76, 77],
+    220: [72, 73, 74, 75, 76, 77],
+    230: [72, 73, 74, 75, 76],
+    240: [71, 72, 73, 74, 75, 76],
+    250: [70, 71, 72, 73, 74, 75],
+    260: [69, 70, 71, 72, 73, 74, 75],
+    270: [68, 69, 70, 71, 72, 73, 74],
+    280: [67, 68, 69, 70, 71, 72, 73],
+    290: [66, 67, 68, 69, 70, 71, 72, 73],
+    300: [65, 66, 67, 68, 69, 70, 71, 72],
+    310: [63, 64, 65, 66, 67, 68, 69, 70, 71],
+    320: [62, 63, 64, 65, 66, 67, 68, 69, 70],
+    330: [60, 61, 62, 63, 64, 65, 66, 67, 68],
+    340: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    350: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    360: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    370: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    380: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    390: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    400: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    410: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    420: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    430: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [348, 349, 350, 351, 352, 353, 354, 355, 356]
+  },
+  200: {
+    0: [79, 80, 81, 82],
+    10: [79, 80, 81],
+    20: [79, 80, 81],
+    30: [79, 80, 81],
+    40: [78, 79, 80, 81],
+    50: [78, 79, 80, 81],
+    60: [78, 79, 80],
+    70: [77, 78, 79, 80],
+    80: [77, 78, 79, 80],
+    90: [77, 78, 79, 80],
+    100: [76, 77, 78, 79, 80],
+    110: [76, 77, 78, 79],
+    120: [76, 77, 78, 79],
+    130: [75, 76, 77, 78, 79],
+    140: [75, 76, 77, 78],
+    150: [74, 75, 76, 77, 78],
+    160: [74, 75, 76, 77],
+    170: [73, 74, 75, 76, 77],
+    180: [73, 74, 75, 76, 77],
+    190: [72, 73, 74, 75, 76],
+    200: [72, 73, 74, 75, 76],
+    210: [71, 72, 73, 74, 75],
+    220: [70, 71, 72, 73, 74, 75],
+    230: [70, 71, 72, 73, 74],
+    240: [69, 70, 71, 72, 73, 74],
+    250: [68, 69, 70, 71, 72, 73],
+    260: [67, 68, 69, 70, 71, 72, 73],
+    270: [66, 67, 68, 69, 70, 71],
+    280: [64, 65, 66, 67, 68, 69, 70, 71],
+    290: [64, 65, 66, 67, 68, 69],
+    300: [62, 63, 64, 65, 66, 67, 68, 69],
+    310: [61, 62, 63, 64, 65, 66, 67],
+    320: [59, 60, 61, 62, 63, 64, 65, 66, 67],
+    330: [58, 59, 60, 61, 62, 63, 64],
+    340: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    350: [53, 54, 55, 56, 57, 58, 59, 60, 61],
+    360: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    370: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    380: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    390: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    400: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    410: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    420: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    430: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36],
+    440: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [351, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [351, 352]
+  },
+  210: {
+    0: [78, 79, 80],
+    10: [78, 79, 80],
+    20: [78, 79, 80],
+    30: [78, 79, 80],
+    40: [77, 78, 79, 80],
+    50: [77, 78, 79],
+    60: [77, 78, 79],
+    70: [76, 77, 78, 79],
+    80: [76, 77, 78, 79],
+    90: [75, 76, 77, 78],
+    100: [75, 76, 77, 78],
+    110: [75, 76, 77, 78],
+    120: [74, 75, 76, 77, 78],
+    130: [74, 75, 76, 77],
+    140: [73, 74, 75, 76, 77],
+    150: [73, 74, 75, 76],
+    160: [72, 73, 74, 75, 76],
+    170: [72, 73, 74, 75, 76],
+    180: [71, 72, 73, 74, 75],
+    190: [70, 71, 72, 73, 74, 75],
+    200: [70, 71, 72, 73, 74],
+    210: [69, 70, 71, 72, 73, 74],
+    220: [68, 69, 70, 71, 72, 73],
+    230: [67, 68, 69, 70, 71, 72],
+    240: [67, 68, 69, 70, 71, 72],
+    250: [66, 67, 68, 69, 70, 71],
+    260: [65, 66, 67, 68, 69, 70],
+    270: [64, 65, 66, 67, 68, 69],
+    280: [62, 63, 64, 65, 66, 67, 68],
+    290: [61, 62, 63, 64, 65, 66, 67],
+    300: [59, 60, 61, 62, 63, 64, 65, 66],
+    310: [58, 59, 60, 61, 62, 63, 64, 65],
+    320: [56, 57, 58, 59, 60, 61, 62, 63, 64],
+    330: [54, 55, 56, 57, 58, 59, 60, 61, 62],
+    340: [52, 53, 54, 55, 56, 57, 58, 59, 60],
+    350: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    360: [48, 49, 50, 51, 52, 53, 54, 55, 56],
+    370: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    380: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    390: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    400: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    410: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
+    420: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38],
+    430: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 357, 358, 359],
+    480: [0, 1, 2, 3, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [351, 352, 353, 354, 355, 356, 357]
+  },
+  220: {
+    0: [77, 78, 79],
+    10: [77, 78, 79],
+    20: [77, 78, 79],
+    30: [76, 77, 78],
+    40: [76, 77, 78],
+    50: [76, 77, 78],
+    60: [75, 76, 77, 78],
+    70: [75, 76, 77, 78],
+    80: [75, 76, 77],
+    90: [74, 75, 76, 77],
+    100: [74, 75, 76, 77],
+    110: [73, 74, 75, 76],
+    120: [73, 74, 75, 76],
+    130: [73, 74, 75],
+    140: [72, 73, 74, 75],
+    150: [71, 72, 73, 74, 75],
+    160: [71, 72, 73, 74],
+    170: [70, 71, 72, 73, 74],
+    180: [69, 70, 71, 72, 73],
+    190: [69, 70, 71, 72, 73],
+    200: [68, 69, 70, 71, 72],
+    210: [67, 68, 69, 70, 71, 72],
+    220: [67, 68, 69, 70, 71],
+    230: [65, 66, 67, 68, 69, 70],
+    240: [65, 66, 67, 68, 69],
+    250: [63, 64, 65, 66, 67, 68, 69],
+    260: [63, 64, 65, 66, 67],
+    270: [61, 62, 63, 64, 65, 66, 67],
+    280: [60, 61, 62, 63, 64, 65],
+    290: [58, 59, 60, 61, 62, 63, 64, 65],
+    300: [58, 59, 60, 61, 62, 63],
+    310: [55, 56, 57, 58, 59, 60, 61, 62],
+    320: [54, 55, 56, 57, 58, 59, 60],
+    330: [51, 52, 53, 54, 55, 56, 57, 58, 59],
+    340: [50, 51, 52, 53, 54, 55, 56, 57],
+    350: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    360: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    370: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    380: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    390: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    400: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    410: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39],
+    420: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35],
+    430: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29],
+    440: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 353, 354, 355, 356, 357, 358, 359],
+    490: [353, 354, 355, 356, 357, 358, 359],
+    500: [353]
+  },
+  230: {
+    0: [76, 77, 78],
+    10: [76, 77, 78],
+    20: [75, 76, 77, 78],
+    30: [75, 76, 77],
+    40: [75, 76, 77],
+    50: [75, 76, 77],
+    60: [74, 75, 76, 77],
+    70: [74, 75, 76],
+    80: [73, 74, 75, 76],
+    90: [73, 74, 75, 76],
+    100: [73, 74, 75],
+    110: [72, 73, 74, 75],
+    120: [71, 72, 73, 74],
+    130: [71, 72, 73, 74],
+    140: [70, 71, 72, 73, 74],
+    150: [70, 71, 72, 73],
+    160: [69, 70, 71, 72, 73],
+    170: [69, 70, 71, 72],
+    180: [68, 69, 70, 71, 72],
+    190: [67, 68, 69, 70, 71],
+    200: [66, 67, 68, 69, 70],
+    210: [65, 66, 67, 68, 69, 70],
+    220: [64, 65, 66, 67, 68, 69],
+    230: [64, 65, 66, 67, 68],
+    240: [63, 64, 65, 66, 67],
+    250: [61, 62, 63, 64, 65, 66, 67],
+    260: [60, 61, 62, 63, 64, 65],
+    270: [59, 60, 61, 62, 63, 64, 65],
+    280: [58, 59, 60, 61, 62, 63],
+    290: [56, 57, 58, 59, 60, 61, 62],
+    300: [55, 56, 57, 58, 59, 60, 61],
+    310: [53, 54, 55, 56, 57, 58, 59, 60],
+    320: [51, 52, 53, 54, 55, 56, 57, 58],
+    330: [50, 51, 52, 53, 54, 55, 56],
+    340: [47, 48, 49, 50, 51, 52, 53, 54, 55],
+    350: [45, 46, 47, 48, 49, 50, 51, 52],
+    360: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    370: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    380: [37, 38, 39, 40, 41, 42, 43, 44, 45],
+    390: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    400: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40],
+    410: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35],
+    420: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
+    430: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 357, 358, 359],
+    480: [0, 1, 2, 3, 353, 354, 355, 356, 357, 358, 359],
+    490: [353, 354, 355, 356, 357, 358]
+  },
+  240: {
+    0: [75, 76, 77],
+    10: [74, 75, 76, 77],
+    20: [74, 75, 76],
+    30: [74, 75, 76],
+    40: [73, 74, 75, 76],
+    50: [73, 74, 75],
+    60: [73, 74, 75],
+    70: [72, 73, 74, 75],
+    80: [72, 73, 74, 75],
+    90: [71, 72, 73, 74],
+    100: [71, 72, 73, 74],
+    110: [70, 71, 72, 73],
+    120: [70, 71, 72, 73],
+    130: [69, 70, 71, 72, 73],
+    140: [69, 70, 71, 72],
+    150: [68, 69, 70, 71, 72],
+    160: [67, 68, 69, 70, 71],
+    170: [67, 68, 69, 70],
+    180: [66, 67, 68, 69, 70],
+    190: [66, 67, 68, 69],
+    200: [64, 65, 66, 67, 68, 69],
+    210: [64, 65, 66, 67],
+    220: [63, 64, 65, 66, 67],
+    230: [62, 63, 64, 65, 66],
+    240: [60, 61, 62, 63, 64, 65, 66],
+    250: [60, 61, 62, 63, 64],
+    260: [58, 59, 60, 61, 62, 63, 64],
+    270: [57, 58, 59, 60, 61, 62],
+    280: [55, 56, 57, 58, 59, 60, 61],
+    290: [55, 56, 57, 58, 59],
+    300: [52, 53, 54, 55, 56, 57, 58, 59],
+    310: [51, 52, 53, 54, 55, 56, 57],
+    320: [49, 50, 51, 52, 53, 54, 55, 56],
+    330: [47, 48, 49, 50, 51, 52, 53, 54],
+    340: [45, 46, 47, 48, 49, 50, 51, 52],
+    350: [42, 43, 44, 45, 46, 47, 48, 49, 50],
+    360: [41, 42, 43, 44, 45, 46, 47],
+    370: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    390: [32, 33, 34, 35, 36, 37, 38, 39],
+    400: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
+    410: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34],
+    420: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30],
+    430: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 354, 355, 356, 357, 358, 359],
+    490: [354, 355, 356, 357, 358, 359],
+    500: [354]
+  },
+  250: {
+    0: [74, 75, 76],
+    10: [73, 74, 75, 76],
+    20: [73, 74, 75],
+    30: [73, 74, 75],
+    40: [72, 73, 74],
+    50: [72, 73, 74],
+    60: [71, 72, 73, 74],
+    70: [71, 72, 73],
+    80: [70, 71, 72, 73],
+    90: [70, 71, 72, 73],
+    100: [69, 70, 71, 72],
+    110: [69, 70, 71, 72],
+    120: [68, 69, 70, 71],
+    130: [68, 69, 70, 71],
+    140: [67, 68, 69, 70],
+    150: [66, 67, 68, 69, 70],
+    160: [66, 67, 68, 69],
+    170: [65, 66, 67, 68, 69],
+    180: [65, 66, 67, 68],
+    190: [64, 65, 66, 67, 68],
+    200: [63, 64, 65, 66, 67],
+    210: [62, 63, 64, 65, 66],
+    220: [61, 62, 63, 64, 65],
+    230: [60, 61, 62, 63, 64],
+    240: [59, 60, 61, 62, 63],
+    250: [58, 59, 60, 61, 62],
+    260: [56, 57, 58, 59, 60, 61],
+    270: [55, 56, 57, 58, 59, 60],
+    280: [54, 55, 56, 57, 58, 59],
+    290: [52, 53, 54, 55, 56, 57, 58],
+    300: [51, 52, 53, 54, 55, 56],
+    310: [49, 50, 51, 52, 53, 54, 55],
+    320: [48, 49, 50, 51, 52, 53],
+    330: [45, 46, 47, 48, 49, 50, 51, 52],
+    340: [43, 44, 45, 46, 47, 48, 49, 50],
+    350: [40, 41, 42, 43, 44, 45, 46, 47, 48],
+    360: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    370: [35, 36, 37, 38, 39, 40, 41, 42],
+    380: [32, 33, 34, 35, 36, 37, 38, 39, 40],
+    390: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38],
+    400: [26, 27, 28, 29, 30, 31, 32, 33, 34],
+    410: [23, 24, 25, 26, 27, 28, 29, 30, 31],
+    420: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 358, 359],
+    480: [0, 1, 2, 3, 355, 356, 357, 358, 359],
+    490: [354, 355, 356, 357, 358]
+  },
+  260: {
+    0: [73, 74, 75],
+    10: [72, 73, 74],
+    20: [72, 73, 74],
+    30: [71, 72, 73, 74],
+    40: [71, 72, 73],
+    50: [71, 72, 73],
+    60: [70, 71, 72, 73],
+    70: [70, 71, 72],
+    80: [69, 70, 71, 72],
+    90: [69, 70, 71],
+    100: [68, 69, 70, 71],
+    110: [68, 69, 70],
+    120: [67, 68, 69, 70],
+    130: [67, 68, 69],
+    140: [66, 67, 68, 69],
+    150: [65, 66, 67, 68],
+    160: [64, 65, 66, 67, 68],
+    170: [64, 65, 66, 67],
+    180: [63, 64, 65, 66],
+    190: [62, 63, 64, 65, 66],
+    200: [61, 62, 63, 64, 65],
+    210: [60, 61, 62, 63, 64],
+    220: [60, 61, 62, 63],
+    230: [58, 59, 60, 61, 62, 63],
+    240: [57, 58, 59, 60, 61],
+    250: [56, 57, 58, 59, 60, 61],
+    260: [55, 56, 57, 58, 59],
+    270: [53, 54, 55, 56, 57, 58],
+    280: [52, 53, 54, 55, 56, 57],
+    290: [50, 51, 52, 53, 54, 55, 56],
+    300: [49, 50, 51, 52, 53, 54],
+    310: [47, 48, 49, 50, 51, 52, 53],
+    320: [45, 46, 47, 48, 49, 50, 51],
+    330: [43, 44, 45, 46, 47, 48, 49],
+    340: [40, 41, 42, 43, 44, 45, 46, 47, 48],
+    350: [38, 39, 40, 41, 42, 43, 44, 45],
+    360: [36, 37, 38, 39, 40, 41, 42, 43],
+    370: [33, 34, 35, 36, 37, 38, 39, 40, 41],
+    380: [30, 31, 32, 33, 34, 35, 36, 37, 38],
+    390: [28, 29, 30, 31, 32, 33, 34, 35],
+    400: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33],
+    410: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30],
+    420: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 357, 358, 359],
+    480: [0, 1, 2, 3, 355, 356, 357, 358, 359],
+    490: [355, 356, 357, 358, 359],
+    500: [355]
+  },
+  270: {
+    0: [72, 73, 74],
+    10: [71, 72, 73],
+    20: [71, 72, 73],
+    30: [71, 72],
+    40: [70, 71, 72],
+    50: [69, 70, 71, 72],
+    60: [69, 70, 71],
+    70: [68, 69, 70, 71],
+    80: [68, 69, 70],
+    90: [67, 68, 69, 70],
+    100: [67, 68, 69, 70],
+    110: [66, 67, 68, 69],
+    120: [66, 67, 68, 69],
+    130: [65, 66, 67, 68],
+    140: [64, 65, 66, 67, 68],
+    150: [64, 65, 66, 67],
+    160: [63, 64, 65, 66],
+    170: [62, 63, 64, 65],
+    180: [61, 62, 63, 64, 65],
+    190: [61, 62, 63, 64],
+    200: [59, 60, 61, 62, 63],
+    210: [59, 60, 61, 62, 63],
+    220: [58, 59, 60, 61, 62],
+    230: [56, 57, 58, 59, 60, 61],
+    240: [55, 56, 57, 58, 59, 60],
+    250: [54, 55, 56, 57, 58, 59],
+    260: [53, 54, 55, 56, 57, 58],
+    270: [52, 53, 54, 55, 56],
+    280: [50, 51, 52, 53, 54, 55],
+    290: [49, 50, 51, 52, 53],
+    300: [47, 48, 49, 50, 51, 52],
+    310: [45, 46, 47, 48, 49, 50, 51],
+    320: [43, 44, 45, 46, 47, 48, 49],
+    330: [41, 42, 43, 44, 45, 46, 47],
+    340: [39, 40, 41, 42, 43, 44, 45],
+    350: [36, 37, 38, 39, 40, 41, 42, 43],
+    360: [34, 35, 36, 37, 38, 39, 40, 41],
+    370: [32, 33, 34, 35, 36, 37, 38],
+    380: [28, 29, 30, 31, 32, 33, 34, 35, 36],
+    390: [26, 27, 28, 29, 30, 31, 32, 33, 34],
+    400: [23, 24, 25, 26, 27, 28, 29, 30],
+    410: [20, 21, 22, 23, 24, 25, 26, 27],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+    470: [0, 1, 2, 3, 4, 5, 6, 358, 359],
+    480: [0, 1, 2, 356, 357, 358, 359],
+    490: [355, 356, 357, 358, 359]
+  },
+  280: {
+    0: [71, 72],
+    10: [70, 71, 72],
+    20: [70, 71, 72],
+    30: [69, 70, 71],
+    40: [69, 70, 71],
+    50: [68, 69, 70],
+    60: [68, 69, 70],
+    70: [67, 68, 69, 70],
+    80: [67, 68, 69],
+    90: [66, 67, 68, 69],
+    100: [66, 67, 68],
+    110: [65, 66, 67, 68],
+    120: [64, 65, 66, 67],
+    130: [64, 65, 66, 67],
+    140: [63, 64, 65, 66],
+    150: [62, 63, 64, 65],
+    160: [61, 62, 63, 64, 65],
+    170: [61, 62, 63, 64],
+    180: [60, 61, 62, 63],
+    190: [59, 60, 61, 62],
+    200: [58, 59, 60, 61, 62],
+    210: [57, 58, 59, 60, 61],
+    220: [56, 57, 58, 59, 60],
+    230: [55, 56, 57, 58, 59],
+    240: [54, 55, 56, 57, 58],
+    250: [53, 54, 55, 56, 57],
+    260: [51, 52, 53, 54, 55, 56],
+    270: [50, 51, 52, 53, 54, 55],
+    280: [48, 49, 50, 51, 52, 53],
+    290: [47, 48, 49, 50, 51, 52],
+    300: [45, 46, 47, 48, 49, 50],
+    310: [43, 44, 45, 46, 47, 48, 49],
+    320: [42, 43, 44, 45, 46, 47],
+    330: [39, 40, 41, 42, 43, 44, 45],
+    340: [37, 38, 39, 40, 41, 42, 43, 44],
+    350: [35, 36, 37, 38, 39, 40, 41],
+    360: [32, 33, 34, 35, 36, 37, 38, 39],
+    370: [30, 31, 32, 33, 34, 35, 36, 37],
+    380: [28, 29, 30, 31, 32, 33, 34],
+    390: [25, 26, 27, 28, 29, 30, 31],
+    400: [21, 22, 23, 24, 25, 26, 27, 28, 29],
+    410: [18, 19, 20, 21, 22, 23, 24, 25, 26],
+    420: [15, 16, 17, 18, 19, 20, 21, 22, 23],
+    430: [12, 13, 14, 15, 16, 17, 18, 19],
+    440: [9, 10, 11, 12, 13, 14, 15, 16],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+    470: [0, 1, 2, 3, 4, 5, 6, 358, 359],
+    480: [0, 1, 2, 3, 356, 357, 358, 359],
+    490: [356, 357, 358, 359]
+  },
+  290: {
+    0: [69, 70, 71],
+    10: [69, 70, 71],
+    20: [69, 70, 71],
+    30: [68, 69, 70],
+    40: [68, 69, 70],
+    50: [67, 68, 69],
+    60: [67, 68, 69],
+    70: [66, 67, 68],
+    80: [65, 66, 67, 68],
+    90: [65, 66, 67, 68],
+    100: [64, 65, 66, 67],
+    110: [64, 65, 66, 67],
+    120: [63, 64, 65, 66],
+    130: [62, 63, 64, 65],
+    140: [62, 63, 64],
+    150: [61, 62, 63, 64],
+    160: [60, 61, 62, 63],
+    170: [59, 60, 61, 62, 63],
+    180: [59, 60, 61, 62],
+    190: [57, 58, 59, 60, 61],
+    200: [57, 58, 59, 60],
+    210: [55, 56, 57, 58, 59],
+    220: [55, 56, 57, 58],
+    230: [53, 54, 55, 56, 57, 58],
+    240: [52, 53, 54, 55, 56],
+    250: [51, 52, 53, 54, 55],
+    260: [50, 51, 52, 53, 54],
+    270: [48, 49, 50, 51, 52, 53],
+    280: [47, 48, 49, 50, 51],
+    290: [45, 46, 47, 48, 49, 50],
+    300: [43, 44, 45, 46, 47, 48, 49],
+    310: [42, 43, 44, 45, 46, 47],
+    320: [39, 40, 41, 42, 43, 44, 45],
+    330: [38, 39, 40, 41, 42, 43],
+    340: [36, 37, 38, 39, 40, 41],
+    350: [33, 34, 35, 36, 37, 38, 39, 40],
+    360: [31, 32, 33, 34, 35, 36, 37],
+    370: [29, 30, 31, 32, 33, 34, 35],
+    380: [26, 27, 28, 29, 30, 31, 32, 33],
+    390: [23, 24, 25, 26, 27, 28, 29, 30],
+    400: [21, 22, 23, 24, 25, 26, 27],
+    410: [18, 19, 20, 21, 22, 23, 24],
+    420: [14, 15, 16, 17, 18, 19, 20, 21, 22],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 19],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16],
+    450: [4, 5, 6, 7, 8, 9, 10, 11, 12],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9],
+    470: [0, 1, 2, 3, 4, 5, 6, 358, 359],
+    480: [0, 1, 2, 356, 357, 358, 359],
+    490: [356, 357, 358, 359],
+    500: [356]
+  },
+  300: {
+    0: [68, 69, 70],
+    10: [68, 69, 70],
+    20: [67, 68, 69, 70],
+    30: [67, 68, 69],
+    40: [67, 68, 69],
+    50: [66, 67, 68],
+    60: [66, 67, 68],
+    70: [65, 66, 67],
+    80: [64, 65, 66, 67],
+    90: [64, 65, 66],
+    100: [63, 64, 65, 66],
+    110: [63, 64, 65],
+    120: [62, 63, 64, 65],
+    130: [61, 62, 63, 64],
+    140: [60, 61, 62, 63],
+    150: [60, 61, 62, 63],
+    160: [59, 60, 61, 62],
+    170: [58, 59, 60, 61],
+    180: [57, 58, 59, 60],
+    190: [56, 57, 58, 59, 60],
+    200: [55, 56, 57, 58, 59],
+    210: [54, 55, 56, 57, 58],
+    220: [53, 54, 55, 56, 57],
+    230: [52, 53, 54, 55, 56],
+    240: [51, 52, 53, 54, 55],
+    250: [49, 50, 51, 52, 53],
+    260: [48, 49, 50, 51, 52],
+    270: [47, 48, 49, 50, 51],
+    280: [45, 46, 47, 48, 49, 50],
+    290: [44, 45, 46, 47, 48],
+    300: [42, 43, 44, 45, 46, 47],
+    310: [40, 41, 42, 43, 44, 45],
+    320: [39, 40, 41, 42, 43],
+    330: [36, 37, 38, 39, 40, 41, 42],
+    340: [34, 35, 36, 37, 38, 39, 40],
+    350: [32, 33, 34, 35, 36, 37],
+    360: [29, 30, 31, 32, 33, 34, 35, 36],
+    370: [27, 28, 29, 30, 31, 32, 33, 34],
+    380: [25, 26, 27, 28, 29, 30, 31],
+    390: [22, 23, 24, 25, 26, 27, 28, 29],
+    400: [19, 20, 21, 22, 23, 24, 25, 26],
+    410: [16, 17, 18, 19, 20, 21, 22, 23, 24],
+    420: [14, 15, 16, 17, 18, 19, 20, 21],
+    430: [11, 12, 13, 14, 15, 16, 17],
+    440: [8, 9, 10, 11, 12, 13, 14],
+    450: [5, 6, 7, 8, 9, 10, 11],
+    460: [1, 2, 3, 4, 5, 6, 7, 8],
+    470: [0, 1, 2, 3, 4, 5, 358, 359],
+    480: [0, 1, 2, 356, 357, 358, 359],
+    490: [356, 357, 358, 359],
+    500: [356]
+  },
+  310: {
+    0: [67, 68, 69],
+    10: [67, 68, 69],
+    20: [66, 67, 68, 69],
+    30: [66, 67, 68],
+    40: [65, 66, 67, 68],
+    50: [65, 66, 67],
+    60: [64, 65, 66, 67],
+    70: [64, 65, 66],
+    80: [63, 64, 65],
+    90: [63, 64, 65],
+    100: [62, 63, 64, 65],
+    110: [61, 62, 63, 64],
+    120: [61, 62, 63],
+    130: [60, 61, 62, 63],
+    140: [59, 60, 61, 62],
+    150: [58, 59, 60, 61],
+    160: [57, 58, 59, 60, 61],
+    170: [57, 58, 59, 60],
+    180: [56, 57, 58, 59],
+    190: [55, 56, 57, 58],
+    200: [54, 55, 56, 57],
+    210: [53, 54, 55, 56],
+    220: [51, 52, 53, 54, 55],
+    230: [51, 52, 53, 54],
+    240: [49, 50, 51, 52, 53],
+    250: [48, 49, 50, 51, 52],
+    260: [46, 47, 48, 49, 50, 51],
+    270: [45, 46, 47, 48, 49, 50],
+    280: [44, 45, 46, 47, 48],
+    290: [42, 43, 44, 45, 46, 47],
+    300: [41, 42, 43, 44, 45],
+    310: [39, 40, 41, 42, 43, 44],
+    320: [37, 38, 39, 40, 41, 42],
+    330: [35, 36, 37, 38, 39, 40],
+    340: [33, 34, 35, 36, 37, 38],
+    350: [30, 31, 32, 33, 34, 35, 36],
+    360: [29, 30, 31, 32, 33, 34],
+    370: [26, 27, 28, 29, 30, 31, 32],
+    380: [23, 24, 25, 26, 27, 28, 29, 30],
+    390: [21, 22, 23, 24, 25, 26, 27],
+    400: [19, 20, 21, 22, 23, 24, 25],
+    410: [16, 17, 18, 19, 20, 21, 22],
+    420: [13, 14, 15, 16, 17, 18, 19, 20],
+    430: [10, 11, 12, 13, 14, 15, 16, 17],
+    440: [7, 8, 9, 10, 11, 12, 13, 14],
+    450: [4, 5, 6, 7, 8, 9, 10, 11],
+    460: [1, 2, 3, 4, 5, 6, 7, 8],
+    470: [0, 1, 2, 3, 4, 5, 358, 359],
+    480: [0, 1, 2, 357, 358, 359],
+    490: [357, 358, 359]
+  },
+  320: {
+    0: [66, 67, 68],
+    10: [66, 67, 68],
+    20: [65, 66, 67],
+    30: [65, 66, 67],
+    40: [64, 65, 66, 67],
+    50: [64, 65, 66],
+    60: [63, 64, 65, 66],
+    70: [63, 64, 65],
+    80: [62, 63, 64],
+    90: [61, 62, 63, 64],
+    100: [61, 62, 63],
+    110: [60, 61, 62, 63],
+    120: [60, 61, 62],
+    130: [59, 60, 61, 62],
+    140: [58, 59, 60, 61],
+    150: [57, 58, 59, 60],
+    160: [56, 57, 58, 59],
+    170: [55, 56, 57, 58, 59],
+    180: [54, 55, 56, 57],
+    190: [53, 54, 55, 56, 57],
+    200: [52, 53, 54, 55, 56],
+    210: [51, 52, 53, 54, 55],
+    220: [50, 51, 52, 53, 54],
+    230: [49, 50, 51, 52, 53],
+    240: [48, 49, 50, 51],
+    250: [46, 47, 48, 49, 50, 51],
+    260: [45, 46, 47, 48, 49],
+    270: [44, 45, 46, 47, 48],
+    280: [42, 43, 44, 45, 46, 47],
+    290: [41, 42, 43, 44, 45],
+    300: [39, 40, 41, 42, 43, 44],
+    310: [37, 38, 39, 40, 41, 42],
+    320: [35, 36, 37, 38, 39, 40],
+    330: [33, 34, 35, 36, 37, 38, 39],
+    340: [32, 33, 34, 35, 36, 37],
+    350: [30, 31, 32, 33, 34, 35],
+    360: [27, 28, 29, 30, 31, 32, 33],
+    370: [25, 26, 27, 28, 29, 30, 31],
+    380: [23, 24, 25, 26, 27, 28],
+    390: [20, 21, 22, 23, 24, 25, 26],
+    400: [17, 18, 19, 20, 21, 22, 23, 24],
+    410: [15, 16, 17, 18, 19, 20, 21],
+    420: [12, 13, 14, 15, 16, 17, 18, 19],
+    430: [10, 11, 12, 13, 14, 15, 16],
+    440: [7, 8, 9, 10, 11, 12, 13],
+    450: [4, 5, 6, 7, 8, 9, 10],
+    460: [1, 2, 3, 4, 5, 6, 7],
+    470: [0, 1, 2, 3, 4, 5, 358, 359],
+    480: [0, 1, 2, 357, 358, 359],
+    490: [357, 358, 359]
+  },
+  330: {
+    0: [65, 66, 67],
+    10: [65, 66, 67],
+    20: [64, 65, 66],
+    30: [64, 65, 66],
+    40: [63, 64, 65],
+    50: [63, 64, 65],
+    60: [62, 63, 64],
+    70: [62, 63, 64],
+    80: [61, 62, 63],
+    90: [60, 61, 62, 63],
+    100: [60, 61, 62],
+    110: [59, 60, 61],
+    120: [58, 59, 60, 61],
+    130: [57, 58, 59, 60],
+    140: [57, 58, 59],
+    150: [56, 57, 58, 59],
+    160: [55, 56, 57, 58],
+    170: [54, 55, 56, 57],
+    180: [53, 54, 55, 56],
+    190: [52, 53, 54, 55],
+    200: [51, 52, 53, 54],
+    210: [50, 51, 52, 53],
+    220: [49, 50, 51, 52, 53],
+    230: [48, 49, 50, 51],
+    240: [46, 47, 48, 49, 50],
+    250: [45, 46, 47, 48, 49],
+    260: [44, 45, 46, 47, 48],
+    270: [42, 43, 44, 45, 46],
+    280: [41, 42, 43, 44, 45],
+    290: [39, 40, 41, 42, 43, 44],
+    300: [38, 39, 40, 41, 42],
+    310: [36, 37, 38, 39, 40, 41],
+    320: [34, 35, 36, 37, 38, 39],
+    330: [33, 34, 35, 36, 37],
+    340: [30, 31, 32, 33, 34, 35, 36],
+    350: [28, 29, 30, 31, 32, 33, 34],
+    360: [27, 28, 29, 30, 31],
+    370: [24, 25, 26, 27, 28, 29],
+    380: [21, 22, 23, 24, 25, 26, 27],
+    390: [19, 20, 21, 22, 23, 24, 25],
+    400: [17, 18, 19, 20, 21, 22],
+    410: [15, 16, 17, 18, 19, 20],
+    420: [12, 13, 14, 15, 16, 17, 18],
+    430: [9, 10, 11, 12, 13, 14, 15],
+    440: [6, 7, 8, 9, 10, 11, 12, 13],
+    450: [4, 5, 6, 7, 8, 9, 10],
+    460: [1, 2, 3, 4, 5, 6, 7],
+    470: [0, 1, 2, 3, 4, 5, 358, 359],
+    480: [0, 1, 2, 357, 358, 359],
+    490: [357, 358, 359],
+    500: [357]
+  },
+  340: {
+    0: [64, 65, 66],
+    10: [64, 65, 66],
+    20: [63, 64, 65],
+    30: [63, 64, 65],
+    40: [62, 63, 64],
+    50: [62, 63, 64],
+    60: [61, 62, 63],
+    70: [60, 61, 62, 63],
+    80: [60, 61, 62],
+    90: [59, 60, 61, 62],
+    100: [58, 59, 60, 61],
+    110: [58, 59, 60],
+    120: [57, 58, 59, 60],
+    130: [56, 57, 58, 59],
+    140: [55, 56, 57, 58],
+    150: [55, 56, 57],
+    160: [54, 55, 56, 57],
+    170: [53, 54, 55, 56],
+    180: [52, 53, 54, 55],
+    190: [51, 52, 53, 54],
+    200: [50, 51, 52, 53],
+    210: [49, 50, 51, 52],
+    220: [48, 49, 50, 51],
+    230: [46, 47, 48, 49, 50],
+    240: [45, 46, 47, 48, 49],
+    250: [44, 45, 46, 47, 48],
+    260: [43, 44, 45, 46],
+    270: [41, 42, 43, 44, 45],
+    280: [40, 41, 42, 43, 44],
+    290: [38, 39, 40, 41, 42],
+    300: [36, 37, 38, 39, 40, 41],
+    310: [35, 36, 37, 38, 39],
+    320: [33, 34, 35, 36, 37, 38],
+    330: [31, 32, 33, 34, 35, 36],
+    340: [29, 30, 31, 32, 33, 34],
+    350: [27, 28, 29, 30, 31, 32],
+    360: [25, 26, 27, 28, 29, 30],
+    370: [23, 24, 25, 26, 27, 28],
+    380: [21, 22, 23, 24, 25, 26],
+    390: [19, 20, 21, 22, 23, 24],
+    400: [16, 17, 18, 19, 20, 21, 22],
+    410: [14, 15, 16, 17, 18, 19, 20],
+    420: [11, 12, 13, 14, 15, 16, 17],
+    430: [9, 10, 11, 12, 13, 14],
+    440: [7, 8, 9, 10, 11, 12],
+    450: [4, 5, 6, 7, 8, 9],
+    460: [2, 3, 4, 5, 6],
+    470: [0, 1, 2, 3, 4, 359],
+    480: [0, 1, 357, 358, 359],
+    490: [357, 358]
+  },
+  350: {
+    0: [63, 64, 65],
+    10: [63, 64, 65],
+    20: [62, 63, 64],
+    30: [62, 63, 64],
+    40: [61, 62, 63],
+    50: [61, 62, 63],
+    60: [60, 61, 62],
+    70: [59, 60, 61, 62],
+    80: [59, 60, 61],
+    90: [58, 59, 60, 61],
+    100: [58, 59, 60],
+    110: [57, 58, 59],
+    120: [56, 57, 58],
+    130: [55, 56, 57, 58],
+    140: [54, 55, 56, 57],
+    150: [53, 54, 55, 56],
+    160: [53, 54, 55],
+    170: [52, 53, 54, 55],
+    180: [51, 52, 53, 54],
+    190: [50, 51, 52, 53],
+    200: [49, 50, 51, 52],
+    210: [47, 48, 49, 50, 51],
+    220: [47, 48, 49, 50],
+    230: [45, 46, 47, 48, 49],
+    240: [44, 45, 46, 47, 48],
+    250: [43, 44, 45, 46],
+    260: [41, 42, 43, 44, 45],
+    270: [40, 41, 42, 43],
+    280: [38, 39, 40, 41, 42, 43],
+    290: [37, 38, 39, 40, 41],
+    300: [35, 36, 37, 38, 39],
+    310: [33, 34, 35, 36, 37, 38],
+    320: [32, 33, 34, 35, 36],
+    330: [30, 31, 32, 33, 34],
+    340: [28, 29, 30, 31, 32, 33],
+    350: [26, 27, 28, 29, 30, 31],
+    360: [25, 26, 27, 28, 29],
+    370: [22, 23, 24, 25, 26, 27],
+    380: [20, 21, 22, 23, 24, 25],
+    390: [18, 19, 20, 21, 22, 23],
+    400: [16, 17, 18, 19, 20, 21],
+    410: [14, 15, 16, 17, 18],
+    420: [11, 12, 13, 14, 15, 16],
+    430: [8, 9, 10, 11, 12, 13, 14],
+    440: [6, 7, 8, 9, 10, 11, 12],
+    450: [3, 4, 5, 6, 7, 8, 9],
+    460: [1, 2, 3, 4, 5, 6, 7],
+    470: [0, 1, 2, 3, 4, 358, 359],
+    480: [0, 1, 2, 357, 358, 359],
+    490: [357, 358, 359],
+    500: [357]
+  },
+  360: {
+    0: [62, 63, 64],
+    10: [62, 63, 64],
+    20: [61, 62, 63],
+    30: [61, 62, 63],
+    40: [60, 61, 62],
+    50: [60, 61, 62],
+    60: [59, 60, 61],
+    70: [59, 60],
+    80: [58, 59, 60],
+    90: [57, 58, 59],
+    100: [56, 57, 58, 59],
+    110: [56, 57, 58],
+    120: [55, 56, 57],
+    130: [54, 55, 56, 57],
+    140: [53, 54, 55, 56],
+    150: [52, 53, 54, 55],
+    160: [51, 52, 53, 54],
+    170: [51, 52, 53],
+    180: [49, 50, 51, 52, 53],
+    190: [49, 50, 51],
+    200: [47, 48, 49, 50, 51],
+    210: [47, 48, 49],
+    220: [45, 46, 47, 48, 49],
+    230: [44, 45, 46, 47],
+    240: [43, 44, 45, 46],
+    250: [41, 42, 43, 44, 45],
+    260: [40, 41, 42, 43, 44],
+    270: [39, 40, 41, 42, 43],
+    280: [38, 39, 40, 41],
+    290: [36, 37, 38, 39, 40],
+    300: [34, 35, 36, 37, 38],
+    310: [33, 34, 35, 36],
+    320: [31, 32, 33, 34, 35],
+    330: [29, 30, 31, 32, 33, 34],
+    340: [27, 28, 29, 30, 31],
+    350: [25, 26, 27, 28, 29, 30],
+    360: [23, 24, 25, 26, 27, 28],
+    370: [21, 22, 23, 24, 25, 26],
+    380: [20, 21, 22, 23, 24],
+    390: [17, 18, 19, 20, 21, 22],
+    400: [15, 16, 17, 18, 19, 20],
+    410: [13, 14, 15, 16, 17, 18],
+    420: [10, 11, 12, 13, 14, 15, 16],
+    430: [8, 9, 10, 11, 12, 13],
+    440: [6, 7, 8, 9, 10, 11],
+    450: [4, 5, 6, 7, 8, 9],
+    460: [1, 2, 3, 4, 5, 6],
+    470: [0, 1, 2, 3, 4, 359],
+    480: [0, 1, 357, 358, 359],
+    490: [357, 358, 359]
+  },
+  370: {
+    0: [61, 62, 63],
+    10: [61, 62, 63],
+    20: [60, 61, 62],
+    30: [60, 61, 62],
+    40: [59, 60, 61],
+    50: [59, 60, 61],
+    60: [58, 59, 60],
+    70: [57, 58, 59, 60],
+    80: [57, 58, 59],
+    90: [56, 57, 58],
+    100: [55, 56, 57, 58],
+    110: [55, 56, 57],
+    120: [54, 55, 56],
+    130: [53, 54, 55],
+    140: [52, 53, 54, 55],
+    150: [51, 52, 53, 54],
+    160: [50, 51, 52, 53],
+    170: [49, 50, 51, 52],
+    180: [48, 49, 50, 51],
+    190: [47, 48, 49, 50],
+    200: [46, 47, 48, 49],
+    210: [45, 46, 47, 48],
+    220: [44, 45, 46, 47],
+    230: [43, 44, 45, 46],
+    240: [42, 43, 44, 45],
+    250: [40, 41, 42, 43, 44],
+    260: [39, 40, 41, 42, 43],
+    270: [38, 39, 40, 41],
+    280: [36, 37, 38, 39, 40],
+    290: [35, 36, 37, 38],
+    300: [33, 34, 35, 36, 37],
+    310: [31, 32, 33, 34, 35, 36],
+    320: [30, 31, 32, 33, 34],
+    330: [28, 29, 30, 31, 32],
+    340: [26, 27, 28, 29, 30, 31],
+    350: [24, 25, 26, 27, 28, 29],
+    360: [23, 24, 25, 26, 27],
+    370: [21, 22, 23, 24, 25],
+    380: [18, 19, 20, 21, 22, 23],
+    390: [16, 17, 18, 19, 20, 21],
+    400: [14, 15, 16, 17, 18, 19],
+    410: [12, 13, 14, 15, 16, 17],
+    420: [11, 12, 13, 14],
+    430: [8, 9, 10, 11, 12, 13],
+    440: [6, 7, 8, 9, 10, 11],
+    450: [3, 4, 5, 6, 7, 8],
+    460: [1, 2, 3, 4, 5, 6],
+    470: [0, 1, 2, 3, 4, 359],
+    480: [0, 1, 2, 358, 359],
+    490: [358, 359]
+  },
+  380: {
+    0: [61, 62],
+    10: [60, 61, 62],
+    20: [59, 60, 61],
+    30: [59, 60, 61],
+    40: [58, 59, 60],
+    50: [58, 59, 60],
+    60: [57, 58, 59],
+    70: [56, 57, 58, 59],
+    80: [56, 57, 58],
+    90: [55, 56, 57],
+    100: [54, 55, 56],
+    110: [53, 54, 55, 56],
+    120: [53, 54, 55],
+    130: [52, 53, 54, 55],
+    140: [51, 52, 53],
+    150: [50, 51, 52, 53],
+    160: [49, 50, 51, 52],
+    170: [48, 49, 50, 51],
+    180: [47, 48, 49, 50],
+    190: [46, 47, 48, 49],
+    200: [45, 46, 47, 48],
+    210: [44, 45, 46, 47],
+    220: [43, 44, 45, 46],
+    230: [42, 43, 44, 45],
+    240: [40, 41, 42, 43, 44],
+    250: [39, 40, 41, 42, 43],
+    260: [38, 39, 40, 41, 42],
+    270: [37, 38, 39, 40],
+    280: [36, 37, 38],
+    290: [34, 35, 36, 37, 38],
+    300: [32, 33, 34, 35, 36],
+    310: [31, 32, 33, 34],
+    320: [29, 30, 31, 32, 33],
+    330: [27, 28, 29, 30, 31],
+    340: [26, 27, 28, 29],
+    350: [24, 25, 26, 27, 28],
+    360: [22, 23, 24, 25, 26],
+    370: [20, 21, 22, 23, 24],
+    380: [18, 19, 20, 21, 22],
+    390: [16, 17, 18, 19, 20],
+    400: [14, 15, 16, 17, 18],
+    410: [12, 13, 14, 15, 16, 17],
+    420: [10, 11, 12, 13, 14, 15],
+    430: [7, 8, 9, 10, 11, 12],
+    440: [5, 6, 7, 8, 9, 10],
+    450: [3, 4, 5, 6, 7, 8],
+    460: [1, 2, 3, 4, 5, 6],
+    470: [0, 1, 2, 3, 4, 359],
+    480: [0, 1, 358, 359],
+    490: [358, 359]
+  },
+  390: {
+    0: [60, 61],
+    10: [59, 60, 61],
+    20: [59, 60],
+    30: [58, 59, 60],
+    40: [57, 58, 59],
+    50: [57, 58, 59],
+    60: [56, 57, 58],
+    70: [56, 57],
+    80: [55, 56, 57],
+    90: [54, 55, 56],
+    100: [53, 54, 55, 56],
+    110: [53, 54, 55],
+    120: [52, 53, 54],
+    130: [51, 52, 53],
+    140: [50, 51, 52, 53],
+    150: [49, 50, 51, 52],
+    160: [48, 49, 50, 51],
+    170: [48, 49, 50],
+    180: [46, 47, 48, 49],
+    190: [45, 46, 47, 48],
+    200: [44, 45, 46, 47],
+    210: [43, 44, 45, 46],
+    220: [42, 43, 44, 45],
+    230: [41, 42, 43, 44],
+    240: [40, 41, 42, 43],
+    250: [38, 39, 40, 41, 42],
+    260: [37, 38, 39, 40],
+    270: [36, 37, 38, 39],
+    280: [34, 35, 36, 37, 38],
+    290: [33, 34, 35, 36],
+    300: [31, 32, 33, 34, 35],
+    310: [30, 31, 32, 33, 34],
+    320: [28, 29, 30, 31, 32],
+    330: [27, 28, 29, 30],
+    340: [25, 26, 27, 28, 29],
+    350: [23, 24, 25, 26, 27],
+    360: [21, 22, 23, 24, 25],
+    370: [20, 21, 22, 23],
+    380: [17, 18, 19, 20, 21, 22],
+    390: [15, 16, 17, 18, 19, 20],
+    400: [13, 14, 15, 16, 17, 18],
+    410: [11, 12, 13, 14, 15, 16],
+    420: [10, 11, 12, 13, 14],
+    430: [8, 9, 10, 11],
+    440: [5, 6, 7, 8, 9, 10],
+    450: [3, 4, 5, 6, 7, 8],
+    460: [1, 2, 3, 4, 5, 6],
+    470: [0, 1, 2, 3, 359],
+    480: [0, 1, 358, 359],
+    490: [358, 359]
+  },
+  400: {
+    0: [59, 60, 61],
+    10: [58, 59, 60],
+    20: [58, 59, 60],
+    30: [57, 58, 59],
+    40: [57, 58],
+    50: [56, 57, 58],
+    60: [55, 56, 57],
+    70: [54, 55, 56, 57],
+    80: [54, 55, 56],
+    90: [53, 54, 55],
+    100: [52, 53, 54, 55],
+    110: [51, 52, 53, 54],
+    120: [51, 52, 53],
+    130: [50, 51, 52],
+    140: [49, 50, 51],
+    150: [48, 49, 50, 51],
+    160: [47, 48, 49, 50],
+    170: [46, 47, 48, 49],
+    180: [45, 46, 47, 48],
+    190: [44, 45, 46, 47],
+    200: [43, 44, 45, 46],
+    210: [42, 43, 44, 45],
+    220: [41, 42, 43, 44],
+    230: [40, 41, 42, 43],
+    240: [38, 39, 40, 41, 42],
+    250: [38, 39, 40],
+    260: [36, 37, 38, 39],
+    270: [35, 36, 37, 38],
+    280: [34, 35, 36],
+    290: [32, 33, 34, 35],
+    300: [30, 31, 32, 33, 34],
+    310: [29, 30, 31, 32],
+    320: [27, 28, 29, 30, 31],
+    330: [26, 27, 28, 29, 30],
+    340: [24, 25, 26, 27, 28],
+    350: [22, 23, 24, 25, 26],
+    360: [20, 21, 22, 23, 24, 25],
+    370: [19, 20, 21, 22, 23],
+    380: [17, 18, 19, 20, 21],
+    390: [15, 16, 17, 18, 19],
+    400: [13, 14, 15, 16, 17],
+    410: [11, 12, 13, 14, 15],
+    420: [9, 10, 11, 12, 13, 14],
+    430: [7, 8, 9, 10, 11, 12],
+    440: [5, 6, 7, 8, 9, 10],
+    450: [3, 4, 5, 6, 7, 8],
+    460: [1, 2, 3, 4, 5, 6],
+    470: [0, 1, 2, 3, 359],
+    480: [0, 1, 358, 359],
+    490: [358, 359]
+  },
+  410: {
+    0: [58, 59, 60],
+    10: [57, 58, 59],
+    20: [57, 58, 59],
+    30: [56, 57, 58],
+    40: [55, 56, 57, 58],
+    50: [55, 56, 57],
+    60: [54, 55, 56],
+    70: [54, 55, 56],
+    80: [53, 54, 55],
+    90: [52, 53, 54],
+    100: [51, 52, 53, 54],
+    110: [51, 52, 53],
+    120: [50, 51, 52],
+    130: [49, 50, 51],
+    140: [48, 49, 50, 51],
+    150: [47, 48, 49, 50],
+    160: [46, 47, 48, 49],
+    170: [45, 46, 47, 48],
+    180: [44, 45, 46, 47],
+    190: [43, 44, 45, 46],
+    200: [42, 43, 44, 45],
+    210: [41, 42, 43, 44],
+    220: [40, 41, 42, 43],
+    230: [39, 40, 41, 42],
+    240: [38, 39, 40, 41],
+    250: [36, 37, 38, 39, 40],
+    260: [35, 36, 37, 38],
+    270: [34, 35, 36, 37],
+    280: [32, 33, 34, 35, 36],
+    290: [31, 32, 33, 34],
+    300: [30, 31, 32, 33],
+    310: [28, 29, 30, 31, 32],
+    320: [27, 28, 29, 30],
+    330: [25, 26, 27, 28],
+    340: [23, 24, 25, 26, 27],
+    350: [21, 22, 23, 24, 25, 26],
+    360: [20, 21, 22, 23, 24],
+    370: [18, 19, 20, 21, 22],
+    380: [16, 17, 18, 19, 20],
+    390: [14, 15, 16, 17, 18, 19],
+    400: [12, 13, 14, 15, 16, 17],
+    410: [11, 12, 13, 14, 15],
+    420: [9, 10, 11, 12, 13],
+    430: [7, 8, 9, 10, 11],
+    440: [5, 6, 7, 8, 9],
+    450: [3, 4, 5, 6, 7],
+    460: [1, 2, 3, 4, 5],
+    470: [0, 1, 2, 3, 359],
+    480: [0, 1, 358, 359],
+    490: [358, 359]
+  },
+  420: {
+    0: [57, 58, 59],
+    10: [56, 57, 58],
+    20: [56, 57, 58],
+    30: [55, 56, 57],
+    40: [55, 56, 57],
+    50: [54, 55, 56],
+    60: [53, 54, 55],
+    70: [53, 54, 55],
+    80: [52, 53, 54],
+    90: [51, 52, 53],
+    100: [50, 51, 52, 53],
+    110: [50, 51, 52],
+    120: [49, 50, 51],
+    130: [48, 49, 50],
+    140: [47, 48, 49, 50],
+    150: [46, 47, 48, 49],
+    160: [45, 46, 47, 48],
+    170: [44, 45, 46, 47],
+    180: [43, 44, 45, 46],
+    190: [42, 43, 44, 45],
+    200: [42, 43, 44],
+    210: [40, 41, 42, 43],
+    220: [39, 40, 41, 42],
+    230: [38, 39, 40, 41],
+    240: [37, 38, 39, 40],
+    250: [36, 37, 38],
+    260: [34, 35, 36, 37],
+    270: [33, 34, 35, 36],
+    280: [32, 33, 34, 35],
+    290: [30, 31, 32, 33, 34],
+    300: [29, 30, 31, 32],
+    310: [28, 29, 30],
+    320: [26, 27, 28, 29],
+    330: [24, 25, 26, 27, 28],
+    340: [23, 24, 25, 26],
+    350: [21, 22, 23, 24],
+    360: [19, 20, 21, 22, 23],
+    370: [17, 18, 19, 20, 21],
+    380: [16, 17, 18, 19, 20],
+    390: [14, 15, 16, 17, 18],
+    400: [13, 14, 15, 16],
+    410: [11, 12, 13, 14],
+    420: [9, 10, 11, 12, 13],
+    430: [7, 8, 9, 10, 11],
+    440: [5, 6, 7, 8, 9],
+    450: [3, 4, 5, 6, 7],
+    460: [1, 2, 3, 4, 5],
+    470: [0, 1, 2, 3, 359],
+    480: [0, 1, 358, 359],
+    490: [358, 359],
+    500: [358]
+  },
+  430: {
+    0: [56, 57, 58],
+    10: [56, 57],
+    20: [55, 56, 57],
+    30: [54, 55, 56],
+    40: [54, 55, 56],
+    50: [53, 54, 55],
+    60: [53, 54],
+    70: [52, 53, 54],
+    80: [51, 52, 53],
+    90: [50, 51, 52],
+    100: [50, 51, 52],
+    110: [49, 50, 51],
+    120: [48, 49, 50],
+    130: [47, 48, 49],
+    140: [46, 47, 48],
+    150: [45, 46, 47, 48],
+    160: [44, 45, 46, 47],
+    170: [43, 44, 45, 46],
+    180: [42, 43, 44, 45],
+    190: [42, 43, 44],
+    200: [40, 41, 42, 43],
+    210: [40, 41, 42],
+    220: [38, 39, 40, 41],
+    230: [37, 38, 39, 40],
+    240: [36, 37, 38, 39],
+    250: [35, 36, 37, 38],
+    260: [34, 35, 36],
+    270: [32, 33, 34, 35],
+    280: [31, 32, 33, 34],
+    290: [30, 31, 32],
+    300: [28, 29, 30, 31],
+    310: [26, 27, 28, 29, 30],
+    320: [25, 26, 27, 28],
+    330: [24, 25, 26, 27],
+    340: [22, 23, 24, 25],
+    350: [20, 21, 22, 23, 24],
+    360: [19, 20, 21, 22],
+    370: [17, 18, 19, 20, 21],
+    380: [16, 17, 18, 19],
+    390: [14, 15, 16, 17],
+    400: [12, 13, 14, 15, 16],
+    410: [10, 11, 12, 13, 14],
+    420: [8, 9, 10, 11, 12],
+    430: [6, 7, 8, 9, 10],
+    440: [5, 6, 7, 8],
+    450: [3, 4, 5, 6, 7],
+    460: [1, 2, 3, 4, 5],
+    470: [0, 1, 2, 3, 359],
+    480: [0, 1, 358, 359],
+    490: [358, 359]
+  },
+  440: {
+    0: [55, 56, 57],
+    10: [55, 56, 57],
+    20: [54, 55, 56],
+    30: [54, 55],
+    40: [53, 54, 55],
+    50: [52, 53, 54],
+    60: [52, 53, 54],
+    70: [51, 52, 53],
+    80: [50, 51, 52],
+    90: [50, 51],
+    100: [49, 50, 51],
+    110: [48, 49, 50],
+    120: [47, 48, 49],
+    130: [46, 47, 48],
+    140: [45, 46, 47, 48],
+    150: [45, 46, 47],
+    160: [43, 44, 45, 46],
+    170: [43, 44, 45],
+    180: [42, 43, 44],
+    190: [41, 42, 43],
+    200: [40, 41, 42],
+    210: [38, 39, 40, 41],
+    220: [38, 39, 40],
+    230: [36, 37, 38, 39],
+    240: [35, 36, 37, 38],
+    250: [34, 35, 36, 37],
+    260: [33, 34, 35, 36],
+    270: [31, 32, 33, 34],
+    280: [30, 31, 32, 33],
+    290: [29, 30, 31, 32],
+    300: [27, 28, 29, 30, 31],
+    310: [26, 27, 28, 29],
+    320: [24, 25, 26, 27, 28],
+    330: [23, 24, 25, 26],
+    340: [21, 22, 23, 24, 25],
+    350: [20, 21, 22, 23],
+    360: [18, 19, 20, 21, 22],
+    370: [17, 18, 19, 20],
+    380: [15, 16, 17, 18, 19],
+    390: [13, 14, 15, 16, 17],
+    400: [12, 13, 14, 15],
+    410: [10, 11, 12, 13],
+    420: [8, 9, 10, 11, 12],
+    430: [6, 7, 8, 9, 10],
+    440: [5, 6, 7, 8],
+    450: [3, 4, 5, 6, 7],
+    460: [1, 2, 3, 4, 5],
+    470: [0, 1, 2, 3, 359],
+    480: [0, 1, 358, 359],
+    490: [358, 359],
+    500: [358]
+  },
+  450: {
+    0: [55, 56],
+    10: [54, 55, 56],
+    20: [53, 54, 55],
+    30: [53, 54, 55],
+    40: [52, 53, 54],
+    50: [51, 52, 53],
+    60: [51, 52, 53],
+    70: [50, 51, 52],
+    80: [49, 50, 51],
+    90: [49, 50, 51],
+    100: [48, 49, 50],
+    110: [47, 48, 49],
+    120: [46, 47, 48],
+    130: [45, 46, 47, 48],
+    140: [45, 46, 47],
+    150: [44, 45, 46],
+    160: [43, 44, 45],
+    170: [42, 43, 44],
+    180: [41, 42, 43],
+    190: [40, 41, 42],
+    200: [39, 40, 41],
+    210: [38, 39, 40],
+    220: [36, 37, 38, 39],
+    230: [35, 36, 37, 38],
+    240: [34, 35, 36, 37],
+    250: [33, 34, 35, 36],
+    260: [32, 33, 34, 35],
+    270: [31, 32, 33],
+    280: [29, 30, 31, 32],
+    290: [28, 29, 30, 31],
+    300: [27, 28, 29, 30],
+    310: [25, 26, 27, 28],
+    320: [24, 25, 26, 27],
+    330: [22, 23, 24, 25],
+    340: [21, 22, 23, 24],
+    350: [19, 20, 21, 22, 23],
+    360: [18, 19, 20, 21],
+    370: [16, 17, 18, 19, 20],
+    380: [15, 16, 17, 18],
+    390: [13, 14, 15, 16],
+    400: [11, 12, 13, 14, 15],
+    410: [9, 10, 11, 12, 13],
+    420: [8, 9, 10, 11, 12],
+    430: [6, 7, 8, 9, 10],
+    440: [4, 5, 6, 7, 8],
+    450: [3, 4, 5, 6],
+    460: [1, 2, 3, 4, 5],
+    470: [0, 1, 2, 3, 359],
+    480: [0, 1, 358, 359],
+    490: [358, 359],
+    500: [358]
+  },
+  460: {
+    0: [54, 55],
+    10: [53, 54, 55],
+    20: [53, 54],
+    30: [52, 53, 54],
+    40: [51, 52, 53],
+    50: [51, 52],
+    60: [50, 51, 52],
+    70: [49, 50, 51],
+    80: [48, 49, 50, 51],
+    90: [48, 49, 50],
+    100: [47, 48, 49],
+    110: [46, 47, 48],
+    120: [45, 46, 47, 48],
+    130: [45, 46, 47],
+    140: [44, 45, 46],
+    150: [43, 44, 45],
+    160: [42, 43, 44],
+    170: [41, 42, 43],
+    180: [40, 41, 42],
+    190: [39, 40, 41],
+    200: [38, 39, 40],
+    210: [37, 38, 39],
+    220: [36, 37, 38],
+    230: [35, 36, 37],
+    240: [33, 34, 35, 36],
+    250: [33, 34, 35],
+    260: [31, 32, 33, 34],
+    270: [30, 31, 32, 33],
+    280: [29, 30, 31],
+    290: [27, 28, 29, 30],
+    300: [26, 27, 28, 29],
+    310: [25, 26, 27, 28],
+    320: [23, 24, 25, 26],
+    330: [22, 23, 24, 25],
+    340: [20, 21, 22, 23, 24],
+    350: [19, 20, 21, 22],
+    360: [18, 19, 20],
+    370: [16, 17, 18, 19],
+    380: [14, 15, 16, 17, 18],
+    390: [12, 13, 14, 15, 16],
+    400: [11, 12, 13, 14],
+    410: [9, 10, 11, 12, 13],
+    420: [8, 9, 10, 11],
+    430: [6, 7, 8, 9],
+    440: [5, 6, 7, 8],
+    450: [3, 4, 5, 6],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3, 359],
+    480: [0, 1, 358, 359],
+    490: [358, 359],
+    500: [358]
+  },
+  470: {
+    0: [53, 54, 55],
+    10: [52, 53, 54],
+    20: [52, 53],
+    30: [51, 52, 53],
+    40: [51, 52],
+    50: [50, 51, 52],
+    60: [49, 50, 51],
+    70: [48, 49, 50],
+    80: [48, 49, 50],
+    90: [47, 48, 49],
+    100: [46, 47, 48],
+    110: [45, 46, 47],
+    120: [45, 46, 47],
+    130: [44, 45, 46],
+    140: [43, 44, 45],
+    150: [42, 43, 44],
+    160: [41, 42, 43],
+    170: [40, 41, 42, 43],
+    180: [39, 40, 41],
+    190: [38, 39, 40, 41],
+    200: [37, 38, 39, 40],
+    210: [36, 37, 38],
+    220: [35, 36, 37, 38],
+    230: [34, 35, 36],
+    240: [33, 34, 35],
+    250: [32, 33, 34],
+    260: [30, 31, 32, 33],
+    270: [29, 30, 31, 32],
+    280: [28, 29, 30, 31],
+    290: [27, 28, 29, 30],
+    300: [26, 27, 28],
+    310: [24, 25, 26, 27],
+    320: [23, 24, 25, 26],
+    330: [21, 22, 23, 24],
+    340: [20, 21, 22, 23],
+    350: [18, 19, 20, 21],
+    360: [17, 18, 19, 20],
+    370: [15, 16, 17, 18, 19],
+    380: [14, 15, 16, 17],
+    390: [12, 13, 14, 15],
+    400: [11, 12, 13, 14],
+    410: [9, 10, 11, 12],
+    420: [7, 8, 9, 10, 11],
+    430: [6, 7, 8, 9],
+    440: [4, 5, 6, 7, 8],
+    450: [2, 3, 4, 5, 6],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3, 359],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  480: {
+    0: [52, 53, 54],
+    10: [52, 53],
+    20: [51, 52, 53],
+    30: [50, 51, 52],
+    40: [50, 51, 52],
+    50: [49, 50, 51],
+    60: [48, 49, 50],
+    70: [48, 49, 50],
+    80: [47, 48, 49],
+    90: [46, 47, 48],
+    100: [45, 46, 47],
+    110: [45, 46, 47],
+    120: [44, 45, 46],
+    130: [43, 44, 45],
+    140: [42, 43, 44],
+    150: [41, 42, 43],
+    160: [40, 41, 42, 43],
+    170: [40, 41],
+    180: [38, 39, 40, 41],
+    190: [37, 38, 39, 40],
+    200: [36, 37, 38, 39],
+    210: [35, 36, 37, 38],
+    220: [34, 35, 36, 37],
+    230: [33, 34, 35, 36],
+    240: [32, 33, 34, 35],
+    250: [31, 32, 33],
+    260: [30, 31, 32],
+    270: [28, 29, 30, 31],
+    280: [27, 28, 29, 30],
+    290: [26, 27, 28, 29],
+    300: [25, 26, 27, 28],
+    310: [23, 24, 25, 26],
+    320: [22, 23, 24, 25],
+    330: [21, 22, 23, 24],
+    340: [19, 20, 21, 22],
+    350: [18, 19, 20, 21],
+    360: [17, 18, 19],
+    370: [15, 16, 17, 18],
+    380: [13, 14, 15, 16, 17],
+    390: [12, 13, 14, 15],
+    400: [10, 11, 12, 13, 14],
+    410: [9, 10, 11, 12],
+    420: [7, 8, 9, 10, 11],
+    430: [6, 7, 8, 9],
+    440: [4, 5, 6, 7],
+    450: [3, 4, 5, 6],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [359]
+  },
+  490: {
+    0: [52, 53],
+    10: [51, 52, 53],
+    20: [50, 51, 52],
+    30: [50, 51],
+    40: [49, 50, 51],
+    50: [48, 49, 50],
+    60: [48, 49],
+    70: [47, 48, 49],
+    80: [46, 47, 48],
+    90: [45, 46, 47],
+    100: [45, 46, 47],
+    110: [44, 45, 46],
+    120: [43, 44, 45],
+    130: [42, 43, 44],
+    140: [41, 42, 43],
+    150: [40, 41, 42, 43],
+    160: [40, 41, 42],
+    170: [39, 40, 41],
+    180: [38, 39, 40],
+    190: [37, 38, 39],
+    200: [36, 37, 38],
+    210: [35, 36, 37],
+    220: [34, 35, 36],
+    230: [33, 34, 35],
+    240: [32, 33, 34],
+    250: [30, 31, 32, 33],
+    260: [29, 30, 31, 32],
+    270: [28, 29, 30],
+    280: [27, 28, 29],
+    290: [25, 26, 27, 28],
+    300: [24, 25, 26, 27],
+    310: [23, 24, 25, 26],
+    320: [21, 22, 23, 24],
+    330: [20, 21, 22, 23],
+    340: [19, 20, 21, 22],
+    350: [18, 19, 20],
+    360: [16, 17, 18, 19],
+    370: [14, 15, 16, 17, 18],
+    380: [13, 14, 15, 16],
+    390: [12, 13, 14, 15],
+    400: [10, 11, 12, 13],
+    410: [9, 10, 11],
+    420: [7, 8, 9, 10],
+    430: [6, 7, 8, 9],
+    440: [4, 5, 6, 7],
+    450: [2, 3, 4, 5, 6],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 3, 359],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  500: {
+    0: [51, 52],
+    10: [50, 51, 52],
+    20: [50, 51],
+    30: [49, 50, 51],
+    40: [48, 49, 50],
+    50: [48, 49],
+    60: [47, 48, 49],
+    70: [46, 47, 48],
+    80: [46, 47],
+    90: [45, 46, 47],
+    100: [44, 45, 46],
+    110: [43, 44, 45],
+    120: [42, 43, 44],
+    130: [41, 42, 43],
+    140: [41, 42, 43],
+    150: [40, 41, 42],
+    160: [39, 40, 41],
+    170: [38, 39, 40],
+    180: [37, 38, 39],
+    190: [36, 37, 38],
+    200: [35, 36, 37],
+    210: [34, 35, 36],
+    220: [33, 34, 35],
+    230: [32, 33, 34],
+    240: [31, 32, 33],
+    250: [30, 31, 32],
+    260: [28, 29, 30, 31],
+    270: [27, 28, 29, 30],
+    280: [26, 27, 28, 29],
+    290: [25, 26, 27],
+    300: [24, 25, 26],
+    310: [22, 23, 24, 25],
+    320: [21, 22, 23, 24],
+    330: [20, 21, 22],
+    340: [18, 19, 20, 21],
+    350: [17, 18, 19, 20],
+    360: [16, 17, 18, 19],
+    370: [14, 15, 16, 17],
+    380: [13, 14, 15],
+    390: [11, 12, 13, 14],
+    400: [10, 11, 12, 13],
+    410: [8, 9, 10, 11],
+    420: [7, 8, 9, 10],
+    430: [5, 6, 7, 8, 9],
+    440: [4, 5, 6, 7],
+    450: [2, 3, 4, 5, 6],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 359],
+    480: [0, 1, 359],
+    490: [359]
+  },
+  510: {
+    0: [50, 51, 52],
+    10: [49, 50, 51],
+    20: [49, 50],
+    30: [48, 49, 50],
+    40: [48, 49],
+    50: [47, 48, 49],
+    60: [46, 47, 48],
+    70: [46, 47],
+    80: [45, 46, 47],
+    90: [44, 45, 46],
+    100: [43, 44, 45],
+    110: [42, 43, 44],
+    120: [42, 43, 44],
+    130: [41, 42, 43],
+    140: [40, 41, 42],
+    150: [39, 40, 41],
+    160: [38, 39, 40],
+    170: [37, 38, 39],
+    180: [36, 37, 38],
+    190: [35, 36, 37],
+    200: [34, 35, 36, 37],
+    210: [33, 34, 35],
+    220: [32, 33, 34, 35],
+    230: [31, 32, 33, 34],
+    240: [30, 31, 32],
+    250: [29, 30, 31],
+    260: [28, 29, 30],
+    270: [27, 28, 29],
+    280: [26, 27, 28],
+    290: [24, 25, 26, 27],
+    300: [23, 24, 25, 26],
+    310: [22, 23, 24],
+    320: [21, 22, 23],
+    330: [19, 20, 21, 22],
+    340: [18, 19, 20, 21],
+    350: [17, 18, 19],
+    360: [15, 16, 17, 18],
+    370: [14, 15, 16, 17],
+    380: [12, 13, 14, 15],
+    390: [11, 12, 13, 14],
+    400: [10, 11, 12, 13],
+    410: [8, 9, 10, 11],
+    420: [7, 8, 9, 10],
+    430: [6, 7, 8],
+    440: [4, 5, 6, 7],
+    450: [3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [359]
+  },
+  520: {
+    0: [49, 50, 51],
+    10: [49, 50],
+    20: [48, 49, 50],
+    30: [48, 49],
+    40: [47, 48],
+    50: [46, 47, 48],
+    60: [46, 47],
+    70: [45, 46, 47],
+    80: [44, 45, 46],
+    90: [43, 44, 45],
+    100: [43, 44],
+    110: [42, 43, 44],
+    120: [41, 42, 43],
+    130: [40, 41, 42],
+    140: [39, 40, 41],
+    150: [38, 39, 40],
+    160: [37, 38, 39, 40],
+    170: [37, 38, 39],
+    180: [36, 37, 38],
+    190: [35, 36, 37],
+    200: [34, 35, 36],
+    210: [33, 34, 35],
+    220: [32, 33, 34],
+    230: [31, 32, 33],
+    240: [29, 30, 31, 32],
+    250: [28, 29, 30, 31],
+    260: [27, 28, 29, 30],
+    270: [26, 27, 28, 29],
+    280: [25, 26, 27],
+    290: [24, 25, 26],
+    300: [23, 24, 25],
+    310: [21, 22, 23, 24],
+    320: [20, 21, 22, 23],
+    330: [19, 20, 21],
+    340: [18, 19, 20],
+    350: [16, 17, 18, 19],
+    360: [15, 16, 17, 18],
+    370: [14, 15, 16],
+    380: [12, 13, 14, 15],
+    390: [11, 12, 13],
+    400: [10, 11, 12],
+    410: [8, 9, 10, 11],
+    420: [7, 8, 9],
+    430: [5, 6, 7, 8],
+    440: [4, 5, 6, 7],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2, 359],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  530: {
+    0: [49, 50],
+    10: [48, 49, 50],
+    20: [47, 48, 49],
+    30: [47, 48],
+    40: [46, 47, 48],
+    50: [46, 47],
+    60: [45, 46],
+    70: [44, 45, 46],
+    80: [43, 44, 45],
+    90: [43, 44],
+    100: [42, 43, 44],
+    110: [41, 42, 43],
+    120: [40, 41, 42],
+    130: [39, 40, 41],
+    140: [39, 40],
+    150: [38, 39, 40],
+    160: [37, 38, 39],
+    170: [36, 37, 38],
+    180: [35, 36, 37],
+    190: [34, 35, 36],
+    200: [33, 34, 35],
+    210: [32, 33, 34],
+    220: [31, 32, 33],
+    230: [30, 31, 32],
+    240: [29, 30, 31],
+    250: [28, 29, 30],
+    260: [27, 28, 29],
+    270: [26, 27, 28],
+    280: [25, 26, 27],
+    290: [23, 24, 25, 26],
+    300: [22, 23, 24, 25],
+    310: [21, 22, 23],
+    320: [20, 21, 22],
+    330: [18, 19, 20, 21],
+    340: [17, 18, 19, 20],
+    350: [16, 17, 18, 19],
+    360: [15, 16, 17],
+    370: [13, 14, 15, 16],
+    380: [12, 13, 14, 15],
+    390: [11, 12, 13],
+    400: [9, 10, 11, 12],
+    410: [8, 9, 10, 11],
+    420: [6, 7, 8, 9],
+    430: [5, 6, 7, 8],
+    440: [4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [359]
+  },
+  540: {
+    0: [48, 49, 50],
+    10: [47, 48, 49],
+    20: [47, 48],
+    30: [46, 47, 48],
+    40: [46, 47],
+    50: [45, 46],
+    60: [44, 45, 46],
+    70: [43, 44, 45],
+    80: [43, 44],
+    90: [42, 43, 44],
+    100: [41, 42, 43],
+    110: [40, 41, 42],
+    120: [40, 41],
+    130: [39, 40, 41],
+    140: [38, 39, 40],
+    150: [37, 38, 39],
+    160: [36, 37, 38],
+    170: [35, 36, 37],
+    180: [34, 35, 36],
+    190: [33, 34, 35],
+    200: [33, 34],
+    210: [31, 32, 33, 34],
+    220: [30, 31, 32, 33],
+    230: [30, 31],
+    240: [28, 29, 30, 31],
+    250: [27, 28, 29, 30],
+    260: [26, 27, 28],
+    270: [25, 26, 27],
+    280: [24, 25, 26],
+    290: [23, 24, 25],
+    300: [22, 23, 24],
+    310: [20, 21, 22, 23],
+    320: [19, 20, 21, 22],
+    330: [18, 19, 20, 21],
+    340: [17, 18, 19],
+    350: [16, 17, 18],
+    360: [14, 15, 16, 17],
+    370: [13, 14, 15, 16],
+    380: [12, 13, 14],
+    390: [10, 11, 12, 13],
+    400: [9, 10, 11, 12],
+    410: [8, 9, 10],
+    420: [7, 8, 9],
+    430: [5, 6, 7, 8],
+    440: [4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  550: {
+    0: [47, 48, 49],
+    10: [47, 48],
+    20: [46, 47, 48],
+    30: [46, 47],
+    40: [45, 46],
+    50: [44, 45, 46],
+    60: [43, 44, 45],
+    70: [43, 44],
+    80: [42, 43, 44],
+    90: [41, 42, 43],
+    100: [41, 42],
+    110: [40, 41],
+    120: [39, 40, 41],
+    130: [38, 39, 40],
+    140: [37, 38, 39],
+    150: [36, 37, 38],
+    160: [36, 37],
+    170: [35, 36, 37],
+    180: [34, 35, 36],
+    190: [33, 34, 35],
+    200: [32, 33, 34],
+    210: [31, 32, 33],
+    220: [30, 31, 32],
+    230: [29, 30, 31],
+    240: [28, 29, 30],
+    250: [27, 28, 29],
+    260: [26, 27, 28],
+    270: [25, 26, 27],
+    280: [24, 25, 26],
+    290: [22, 23, 24, 25],
+    300: [21, 22, 23, 24],
+    310: [20, 21, 22],
+    320: [19, 20, 21],
+    330: [18, 19, 20],
+    340: [16, 17, 18, 19],
+    350: [15, 16, 17, 18],
+    360: [14, 15, 16],
+    370: [13, 14, 15],
+    380: [12, 13, 14],
+    390: [10, 11, 12, 13],
+    400: [9, 10, 11],
+    410: [8, 9, 10],
+    420: [6, 7, 8, 9],
+    430: [5, 6, 7, 8],
+    440: [4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3, 4],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  560: {
+    0: [47, 48],
+    10: [46, 47, 48],
+    20: [46, 47],
+    30: [45, 46],
+    40: [44, 45, 46],
+    50: [44, 45],
+    60: [43, 44],
+    70: [42, 43, 44],
+    80: [41, 42, 43],
+    90: [41, 42],
+    100: [40, 41, 42],
+    110: [39, 40, 41],
+    120: [38, 39, 40],
+    130: [38, 39],
+    140: [37, 38, 39],
+    150: [36, 37, 38],
+    160: [35, 36, 37],
+    170: [34, 35, 36],
+    180: [33, 34, 35],
+    190: [32, 33, 34],
+    200: [31, 32, 33],
+    210: [30, 31, 32],
+    220: [29, 30, 31],
+    230: [28, 29, 30],
+    240: [27, 28, 29],
+    250: [26, 27, 28],
+    260: [25, 26, 27],
+    270: [24, 25, 26],
+    280: [23, 24, 25],
+    290: [22, 23, 24],
+    300: [21, 22, 23],
+    310: [20, 21, 22],
+    320: [18, 19, 20, 21],
+    330: [17, 18, 19, 20],
+    340: [16, 17, 18, 19],
+    350: [15, 16, 17],
+    360: [14, 15, 16],
+    370: [12, 13, 14, 15],
+    380: [11, 12, 13, 14],
+    390: [10, 11, 12],
+    400: [9, 10, 11],
+    410: [7, 8, 9, 10],
+    420: [6, 7, 8, 9],
+    430: [5, 6, 7],
+    440: [4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [359]
+  },
+  570: {
+    0: [46, 47, 48],
+    10: [46, 47],
+    20: [45, 46],
+    30: [44, 45, 46],
+    40: [44, 45],
+    50: [43, 44],
+    60: [42, 43, 44],
+    70: [42, 43],
+    80: [41, 42],
+    90: [40, 41, 42],
+    100: [39, 40, 41],
+    110: [39, 40],
+    120: [38, 39],
+    130: [37, 38, 39],
+    140: [36, 37, 38],
+    150: [35, 36, 37],
+    160: [34, 35, 36],
+    170: [34, 35],
+    180: [33, 34, 35],
+    190: [32, 33],
+    200: [31, 32, 33],
+    210: [30, 31, 32],
+    220: [29, 30, 31],
+    230: [28, 29, 30],
+    240: [27, 28, 29],
+    250: [26, 27, 28],
+    260: [25, 26, 27],
+    270: [24, 25, 26],
+    280: [23, 24, 25],
+    290: [22, 23, 24],
+    300: [20, 21, 22, 23],
+    310: [19, 20, 21, 22],
+    320: [18, 19, 20],
+    330: [17, 18, 19],
+    340: [16, 17, 18],
+    350: [15, 16, 17],
+    360: [13, 14, 15, 16],
+    370: [12, 13, 14, 15],
+    380: [11, 12, 13],
+    390: [10, 11, 12],
+    400: [9, 10, 11],
+    410: [7, 8, 9, 10],
+    420: [6, 7, 8],
+    430: [5, 6, 7],
+    440: [3, 4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  580: {
+    0: [46, 47],
+    10: [45, 46],
+    20: [44, 45, 46],
+    30: [44, 45],
+    40: [43, 44],
+    50: [42, 43, 44],
+    60: [42, 43],
+    70: [41, 42],
+    80: [40, 41, 42],
+    90: [39, 40, 41],
+    100: [39, 40],
+    110: [38, 39, 40],
+    120: [37, 38, 39],
+    130: [36, 37, 38],
+    140: [35, 36, 37],
+    150: [35, 36],
+    160: [34, 35, 36],
+    170: [33, 34, 35],
+    180: [32, 33, 34],
+    190: [31, 32, 33],
+    200: [30, 31, 32],
+    210: [29, 30, 31],
+    220: [28, 29, 30],
+    230: [27, 28, 29],
+    240: [27, 28],
+    250: [25, 26, 27],
+    260: [24, 25, 26],
+    270: [23, 24, 25],
+    280: [22, 23, 24],
+    290: [21, 22, 23],
+    300: [20, 21, 22],
+    310: [19, 20, 21],
+    320: [18, 19, 20],
+    330: [17, 18, 19],
+    340: [15, 16, 17, 18],
+    350: [14, 15, 16, 17],
+    360: [13, 14, 15],
+    370: [12, 13, 14],
+    380: [11, 12, 13],
+    390: [10, 11, 12],
+    400: [8, 9, 10, 11],
+    410: [7, 8, 9, 10],
+    420: [6, 7, 8],
+    430: [5, 6, 7],
+    440: [3, 4, 5, 6],
+    450: [2, 3, 4, 5],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  590: {
+    0: [45, 46],
+    10: [44, 45, 46],
+    20: [44, 45],
+    30: [43, 44],
+    40: [42, 43, 44],
+    50: [42, 43],
+    60: [41, 42, 43],
+    70: [40, 41, 42],
+    80: [40, 41],
+    90: [39, 40],
+    100: [38, 39, 40],
+    110: [37, 38, 39],
+    120: [37, 38],
+    130: [36, 37],
+    140: [35, 36, 37],
+    150: [34, 35, 36],
+    160: [33, 34, 35],
+    170: [33, 34],
+    180: [31, 32, 33],
+    190: [31, 32],
+    200: [30, 31],
+    210: [29, 30, 31],
+    220: [28, 29, 30],
+    230: [27, 28, 29],
+    240: [26, 27, 28],
+    250: [25, 26, 27],
+    260: [24, 25, 26],
+    270: [23, 24, 25],
+    280: [22, 23, 24],
+    290: [21, 22, 23],
+    300: [20, 21, 22],
+    310: [19, 20, 21],
+    320: [17, 18, 19, 20],
+    330: [16, 17, 18, 19],
+    340: [15, 16, 17],
+    350: [14, 15, 16],
+    360: [13, 14, 15],
+    370: [12, 13, 14],
+    380: [11, 12, 13],
+    390: [9, 10, 11, 12],
+    400: [8, 9, 10],
+    410: [7, 8, 9],
+    420: [6, 7, 8],
+    430: [5, 6, 7],
+    440: [4, 5, 6],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  600: {
+    0: [44, 45, 46],
+    10: [44, 45],
+    20: [43, 44],
+    30: [42, 43, 44],
+    40: [42, 43],
+    50: [41, 42, 43],
+    60: [40, 41, 42],
+    70: [40, 41],
+    80: [39, 40, 41],
+    90: [38, 39, 40],
+    100: [38, 39],
+    110: [37, 38],
+    120: [36, 37, 38],
+    130: [35, 36, 37],
+    140: [34, 35, 36],
+    150: [34, 35],
+    160: [33, 34],
+    170: [32, 33, 34],
+    180: [31, 32, 33],
+    190: [30, 31, 32],
+    200: [29, 30, 31],
+    210: [28, 29, 30],
+    220: [27, 28, 29],
+    230: [26, 27, 28],
+    240: [26, 27],
+    250: [25, 26],
+    260: [23, 24, 25],
+    270: [22, 23, 24],
+    280: [22, 23],
+    290: [20, 21, 22],
+    300: [19, 20, 21],
+    310: [18, 19, 20],
+    320: [17, 18, 19],
+    330: [16, 17, 18],
+    340: [15, 16, 17],
+    350: [14, 15, 16],
+    360: [13, 14, 15],
+    370: [12, 13, 14],
+    380: [11, 12],
+    390: [9, 10, 11],
+    400: [8, 9, 10],
+    410: [7, 8, 9],
+    420: [6, 7, 8],
+    430: [5, 6, 7],
+    440: [3, 4, 5, 6],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  610: {
+    0: [44, 45],
+    10: [43, 44, 45],
+    20: [43, 44],
+    30: [42, 43],
+    40: [41, 42, 43],
+    50: [41, 42],
+    60: [40, 41],
+    70: [39, 40, 41],
+    80: [39, 40],
+    90: [38, 39],
+    100: [37, 38],
+    110: [36, 37, 38],
+    120: [36, 37],
+    130: [35, 36],
+    140: [34, 35, 36],
+    150: [33, 34, 35],
+    160: [32, 33, 34],
+    170: [31, 32, 33],
+    180: [31, 32],
+    190: [30, 31],
+    200: [29, 30],
+    210: [28, 29, 30],
+    220: [27, 28, 29],
+    230: [26, 27, 28],
+    240: [25, 26, 27],
+    250: [24, 25, 26],
+    260: [23, 24, 25],
+    270: [22, 23, 24],
+    280: [21, 22, 23],
+    290: [20, 21, 22],
+    300: [19, 20, 21],
+    310: [18, 19, 20],
+    320: [17, 18, 19],
+    330: [16, 17, 18],
+    340: [15, 16, 17],
+    350: [14, 15, 16],
+    360: [13, 14],
+    370: [11, 12, 13],
+    380: [10, 11, 12],
+    390: [9, 10, 11],
+    400: [8, 9, 10],
+    410: [7, 8, 9],
+    420: [6, 7, 8],
+    430: [4, 5, 6, 7],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  620: {
+    0: [43, 44, 45],
+    10: [43, 44],
+    20: [42, 43],
+    30: [41, 42, 43],
+    40: [41, 42],
+    50: [40, 41],
+    60: [39, 40, 41],
+    70: [39, 40],
+    80: [38, 39],
+    90: [37, 38, 39],
+    100: [36, 37, 38],
+    110: [36, 37],
+    120: [35, 36],
+    130: [34, 35, 36],
+    140: [33, 34, 35],
+    150: [33, 34],
+    160: [32, 33],
+    170: [31, 32, 33],
+    180: [30, 31, 32],
+    190: [29, 30, 31],
+    200: [28, 29, 30],
+    210: [27, 28, 29],
+    220: [27, 28],
+    230: [26, 27],
+    240: [25, 26],
+    250: [24, 25],
+    260: [23, 24],
+    270: [22, 23, 24],
+    280: [21, 22, 23],
+    290: [20, 21],
+    300: [19, 20, 21],
+    310: [18, 19, 20],
+    320: [17, 18, 19],
+    330: [16, 17],
+    340: [15, 16],
+    350: [13, 14, 15],
+    360: [12, 13, 14],
+    370: [11, 12, 13],
+    380: [10, 11, 12],
+    390: [9, 10, 11],
+    400: [8, 9, 10],
+    410: [7, 8, 9],
+    420: [6, 7],
+    430: [5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  630: {
+    0: [43, 44],
+    10: [42, 43],
+    20: [42, 43],
+    30: [41, 42],
+    40: [40, 41],
+    50: [39, 40, 41],
+    60: [39, 40],
+    70: [38, 39, 40],
+    80: [38, 39],
+    90: [37, 38],
+    100: [36, 37],
+    110: [35, 36, 37],
+    120: [34, 35, 36],
+    130: [34, 35],
+    140: [33, 34],
+    150: [32, 33, 34],
+    160: [31, 32, 33],
+    170: [30, 31, 32],
+    180: [30, 31],
+    190: [29, 30],
+    200: [28, 29, 30],
+    210: [27, 28, 29],
+    220: [26, 27, 28],
+    230: [25, 26, 27],
+    240: [24, 25, 26],
+    250: [23, 24, 25],
+    260: [22, 23, 24],
+    270: [21, 22, 23],
+    280: [20, 21, 22],
+    290: [19, 20, 21],
+    300: [18, 19, 20],
+    310: [17, 18, 19],
+    320: [16, 17, 18],
+    330: [15, 16, 17],
+    340: [14, 15, 16],
+    350: [13, 14, 15],
+    360: [12, 13, 14],
+    370: [11, 12, 13],
+    380: [10, 11, 12],
+    390: [9, 10, 11],
+    400: [8, 9, 10],
+    410: [7, 8, 9],
+    420: [5, 6, 7, 8],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [0, 359],
+    500: [359]
+  },
+  640: {
+    0: [42, 43],
+    10: [42, 43],
+    20: [41, 42],
+    30: [40, 41],
+    40: [40, 41],
+    50: [39, 40],
+    60: [38, 39, 40],
+    70: [38, 39],
+    80: [37, 38],
+    90: [36, 37, 38],
+    100: [35, 36, 37],
+    110: [35, 36],
+    120: [34, 35],
+    130: [33, 34, 35],
+    140: [33, 34],
+    150: [32, 33],
+    160: [31, 32],
+    170: [30, 31],
+    180: [29, 30, 31],
+    190: [28, 29, 30],
+    200: [27, 28, 29],
+    210: [26, 27, 28],
+    220: [26, 27],
+    230: [25, 26],
+    240: [24, 25, 26],
+    250: [23, 24, 25],
+    260: [22, 23, 24],
+    270: [21, 22, 23],
+    280: [20, 21, 22],
+    290: [19, 20, 21],
+    300: [18, 19, 20],
+    310: [17, 18, 19],
+    320: [16, 17, 18],
+    330: [15, 16, 17],
+    340: [14, 15, 16],
+    350: [13, 14, 15],
+    360: [12, 13, 14],
+    370: [11, 12, 13],
+    380: [10, 11, 12],
+    390: [9, 10, 11],
+    400: [8, 9, 10],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [0, 359],
+    500: [359]
+  },
+  650: {
+    0: [42, 43],
+    10: [41, 42],
+    20: [41, 42],
+    30: [40, 41],
+    40: [39, 40],
+    50: [38, 39, 40],
+    60: [38, 39],
+    70: [37, 38],
+    80: [36, 37, 38],
+    90: [36, 37],
+    100: [35, 36],
+    110: [34, 35, 36],
+    120: [33, 34, 35],
+    130: [33, 34],
+    140: [32, 33],
+    150: [31, 32, 33],
+    160: [30, 31, 32],
+    170: [29, 30, 31],
+    180: [29, 30],
+    190: [28, 29],
+    200: [27, 28, 29],
+    210: [26, 27, 28],
+    220: [25, 26, 27],
+    230: [24, 25, 26],
+    240: [23, 24, 25],
+    250: [23, 24],
+    260: [22, 23],
+    270: [21, 22],
+    280: [20, 21],
+    290: [19, 20],
+    300: [18, 19, 20],
+    310: [17, 18, 19],
+    320: [16, 17, 18],
+    330: [15, 16, 17],
+    340: [14, 15],
+    350: [13, 14, 15],
+    360: [12, 13, 14],
+    370: [11, 12, 13],
+    380: [10, 11],
+    390: [9, 10],
+    400: [8, 9],
+    410: [7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [0, 359],
+    500: [359]
+  },
+  660: {
+    0: [41, 42],
+    10: [41, 42],
+    20: [40, 41],
+    30: [39, 40],
+    40: [39, 40],
+    50: [38, 39],
+    60: [37, 38, 39],
+    70: [37, 38],
+    80: [36, 37],
+    90: [35, 36, 37],
+    100: [35, 36],
+    110: [34, 35],
+    120: [33, 34],
+    130: [32, 33, 34],
+    140: [31, 32, 33],
+    150: [31, 32],
+    160: [30, 31],
+    170: [29, 30, 31],
+    180: [28, 29, 30],
+    190: [27, 28, 29],
+    200: [27, 28],
+    210: [26, 27],
+    220: [25, 26],
+    230: [24, 25, 26],
+    240: [23, 24, 25],
+    250: [22, 23, 24],
+    260: [21, 22, 23],
+    270: [20, 21, 22],
+    280: [19, 20, 21],
+    290: [18, 19, 20],
+    300: [17, 18, 19],
+    310: [17, 18],
+    320: [16, 17],
+    330: [15, 16],
+    340: [13, 14, 15],
+    350: [12, 13, 14],
+    360: [11, 12, 13],
+    370: [10, 11, 12],
+    380: [10, 11],
+    390: [8, 9, 10],
+    400: [7, 8, 9],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [0, 359],
+    500: [359]
+  },
+  670: {
+    0: [41, 42],
+    10: [40, 41],
+    20: [39, 40, 41],
+    30: [39, 40],
+    40: [38, 39],
+    50: [37, 38, 39],
+    60: [37, 38],
+    70: [36, 37],
+    80: [35, 36, 37],
+    90: [35, 36],
+    100: [34, 35],
+    110: [33, 34, 35],
+    120: [33, 34],
+    130: [32, 33],
+    140: [31, 32],
+    150: [30, 31, 32],
+    160: [30, 31],
+    170: [29, 30],
+    180: [28, 29],
+    190: [27, 28],
+    200: [26, 27, 28],
+    210: [25, 26, 27],
+    220: [25, 26],
+    230: [24, 25],
+    240: [23, 24],
+    250: [22, 23],
+    260: [21, 22],
+    270: [20, 21, 22],
+    280: [19, 20, 21],
+    290: [18, 19, 20],
+    300: [17, 18, 19],
+    310: [16, 17, 18],
+    320: [15, 16, 17],
+    330: [14, 15, 16],
+    340: [13, 14, 15],
+    350: [12, 13, 14],
+    360: [11, 12, 13],
+    370: [10, 11, 12],
+    380: [9, 10, 11],
+    390: [8, 9, 10],
+    400: [7, 8, 9],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  680: {
+    0: [40, 41],
+    10: [40, 41],
+    20: [39, 40],
+    30: [38, 39],
+    40: [38, 39],
+    50: [37, 38],
+    60: [36, 37, 38],
+    70: [36, 37],
+    80: [35, 36],
+    90: [34, 35, 36],
+    100: [34, 35],
+    110: [33, 34],
+    120: [32, 33],
+    130: [31, 32, 33],
+    140: [31, 32],
+    150: [30, 31],
+    160: [29, 30],
+    170: [28, 29, 30],
+    180: [28, 29],
+    190: [27, 28],
+    200: [26, 27],
+    210: [25, 26],
+    220: [24, 25, 26],
+    230: [23, 24, 25],
+    240: [22, 23, 24],
+    250: [22, 23],
+    260: [21, 22],
+    270: [20, 21],
+    280: [19, 20],
+    290: [18, 19],
+    300: [17, 18, 19],
+    310: [16, 17, 18],
+    320: [15, 16, 17],
+    330: [14, 15, 16],
+    340: [13, 14, 15],
+    350: [12, 13, 14],
+    360: [11, 12, 13],
+    370: [10, 11, 12],
+    380: [9, 10, 11],
+    390: [8, 9, 10],
+    400: [7, 8, 9],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  690: {
+    0: [40, 41],
+    10: [39, 40],
+    20: [38, 39, 40],
+    30: [38, 39],
+    40: [37, 38],
+    50: [37, 38],
+    60: [36, 37],
+    70: [35, 36],
+    80: [34, 35, 36],
+    90: [34, 35],
+    100: [33, 34],
+    110: [32, 33, 34],
+    120: [32, 33],
+    130: [31, 32],
+    140: [30, 31],
+    150: [29, 30, 31],
+    160: [29, 30],
+    170: [28, 29],
+    180: [27, 28],
+    190: [26, 27, 28],
+    200: [26, 27],
+    210: [25, 26],
+    220: [24, 25],
+    230: [23, 24],
+    240: [22, 23, 24],
+    250: [21, 22, 23],
+    260: [20, 21, 22],
+    270: [19, 20, 21],
+    280: [19, 20],
+    290: [18, 19],
+    300: [17, 18],
+    310: [16, 17],
+    320: [15, 16],
+    330: [14, 15],
+    340: [13, 14, 15],
+    350: [12, 13, 14],
+    360: [11, 12, 13],
+    370: [10, 11, 12],
+    380: [9, 10, 11],
+    390: [8, 9, 10],
+    400: [7, 8, 9],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  700: {
+    0: [39, 40],
+    10: [39, 40],
+    20: [38, 39],
+    30: [37, 38, 39],
+    40: [37, 38],
+    50: [36, 37],
+    60: [35, 36, 37],
+    70: [35, 36],
+    80: [34, 35],
+    90: [33, 34, 35],
+    100: [33, 34],
+    110: [32, 33],
+    120: [31, 32, 33],
+    130: [31, 32],
+    140: [30, 31],
+    150: [29, 30],
+    160: [28, 29, 30],
+    170: [27, 28, 29],
+    180: [27, 28],
+    190: [26, 27],
+    200: [25, 26],
+    210: [24, 25, 26],
+    220: [23, 24, 25],
+    230: [23, 24],
+    240: [22, 23],
+    250: [21, 22],
+    260: [20, 21],
+    270: [19, 20, 21],
+    280: [18, 19, 20],
+    290: [17, 18, 19],
+    300: [17, 18],
+    310: [16, 17],
+    320: [15, 16],
+    330: [14, 15],
+    340: [13, 14],
+    350: [12, 13],
+    360: [11, 12],
+    370: [10, 11],
+    380: [9, 10, 11],
+    390: [8, 9, 10],
+    400: [7, 8, 9],
+    410: [6, 7, 8],
+    420: [5, 6, 7],
+    430: [4, 5, 6],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  710: {
+    0: [39, 40],
+    10: [38, 39],
+    20: [38, 39],
+    30: [37, 38],
+    40: [36, 37],
+    50: [36, 37],
+    60: [35, 36],
+    70: [34, 35],
+    80: [34, 35],
+    90: [33, 34],
+    100: [32, 33],
+    110: [32, 33],
+    120: [31, 32],
+    130: [30, 31],
+    140: [29, 30, 31],
+    150: [29, 30],
+    160: [28, 29],
+    170: [27, 28],
+    180: [26, 27, 28],
+    190: [25, 26, 27],
+    200: [25, 26],
+    210: [24, 25],
+    220: [23, 24],
+    230: [22, 23, 24],
+    240: [21, 22, 23],
+    250: [21, 22],
+    260: [20, 21],
+    270: [19, 20],
+    280: [18, 19],
+    290: [17, 18],
+    300: [16, 17, 18],
+    310: [15, 16, 17],
+    320: [14, 15, 16],
+    330: [13, 14, 15],
+    340: [13, 14],
+    350: [12, 13],
+    360: [11, 12],
+    370: [10, 11],
+    380: [9, 10],
+    390: [8, 9],
+    400: [7, 8],
+    410: [6, 7],
+    420: [5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  720: {
+    0: [38, 39],
+    10: [38, 39],
+    20: [37, 38],
+    30: [36, 37, 38],
+    40: [36, 37],
+    50: [35, 36],
+    60: [35, 36],
+    70: [34, 35],
+    80: [33, 34],
+    90: [33, 34],
+    100: [32, 33],
+    110: [31, 32],
+    120: [30, 31, 32],
+    130: [30, 31],
+    140: [29, 30],
+    150: [28, 29, 30],
+    160: [27, 28, 29],
+    170: [27, 28],
+    180: [26, 27],
+    190: [25, 26, 27],
+    200: [24, 25, 26],
+    210: [24, 25],
+    220: [23, 24],
+    230: [22, 23],
+    240: [21, 22],
+    250: [20, 21, 22],
+    260: [19, 20, 21],
+    270: [19, 20],
+    280: [18, 19],
+    290: [17, 18],
+    300: [16, 17],
+    310: [15, 16, 17],
+    320: [14, 15, 16],
+    330: [13, 14, 15],
+    340: [12, 13, 14],
+    350: [11, 12, 13],
+    360: [10, 11, 12],
+    370: [10, 11],
+    380: [9, 10],
+    390: [8, 9],
+    400: [7, 8],
+    410: [6, 7],
+    420: [5, 6],
+    430: [4, 5],
+    440: [3, 4, 5],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  730: {
+    0: [38, 39],
+    10: [37, 38],
+    20: [37, 38],
+    30: [36, 37],
+    40: [35, 36],
+    50: [35, 36],
+    60: [34, 35],
+    70: [33, 34, 35],
+    80: [33, 34],
+    90: [32, 33],
+    100: [31, 32, 33],
+    110: [31, 32],
+    120: [30, 31],
+    130: [29, 30, 31],
+    140: [29, 30],
+    150: [28, 29],
+    160: [27, 28],
+    170: [26, 27, 28],
+    180: [26, 27],
+    190: [25, 26],
+    200: [24, 25],
+    210: [23, 24, 25],
+    220: [23, 24],
+    230: [22, 23],
+    240: [21, 22],
+    250: [20, 21],
+    260: [19, 20],
+    270: [18, 19, 20],
+    280: [17, 18, 19],
+    290: [17, 18],
+    300: [16, 17],
+    310: [15, 16],
+    320: [14, 15],
+    330: [13, 14, 15],
+    340: [12, 13, 14],
+    350: [11, 12, 13],
+    360: [10, 11, 12],
+    370: [10, 11],
+    380: [9, 10],
+    390: [8, 9],
+    400: [7, 8],
+    410: [6, 7],
+    420: [5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3, 4],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  740: {
+    0: [37, 38],
+    10: [37, 38],
+    20: [36, 37],
+    30: [36, 37],
+    40: [35, 36],
+    50: [34, 35],
+    60: [34, 35],
+    70: [33, 34],
+    80: [32, 33],
+    90: [32, 33],
+    100: [31, 32],
+    110: [30, 31, 32],
+    120: [30, 31],
+    130: [29, 30],
+    140: [28, 29],
+    150: [28, 29],
+    160: [27, 28],
+    170: [26, 27],
+    180: [25, 26],
+    190: [24, 25, 26],
+    200: [24, 25],
+    210: [23, 24],
+    220: [22, 23],
+    230: [21, 22, 23],
+    240: [21, 22],
+    250: [20, 21],
+    260: [19, 20],
+    270: [18, 19],
+    280: [17, 18, 19],
+    290: [16, 17, 18],
+    300: [16, 17],
+    310: [15, 16],
+    320: [14, 15],
+    330: [13, 14],
+    340: [12, 13],
+    350: [11, 12],
+    360: [10, 11, 12],
+    370: [9, 10, 11],
+    380: [8, 9, 10],
+    390: [7, 8, 9],
+    400: [7, 8],
+    410: [6, 7],
+    420: [5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  750: {
+    0: [37, 38],
+    10: [36, 37],
+    20: [36, 37],
+    30: [35, 36],
+    40: [35, 36],
+    50: [34, 35],
+    60: [33, 34],
+    70: [33, 34],
+    80: [32, 33],
+    90: [31, 32],
+    100: [31, 32],
+    110: [30, 31],
+    120: [29, 30],
+    130: [29, 30],
+    140: [28, 29],
+    150: [27, 28],
+    160: [26, 27, 28],
+    170: [26, 27],
+    180: [25, 26],
+    190: [24, 25],
+    200: [23, 24, 25],
+    210: [23, 24],
+    220: [22, 23],
+    230: [21, 22],
+    240: [20, 21],
+    250: [19, 20, 21],
+    260: [19, 20],
+    270: [18, 19],
+    280: [17, 18],
+    290: [16, 17],
+    300: [15, 16, 17],
+    310: [14, 15, 16],
+    320: [14, 15],
+    330: [13, 14],
+    340: [12, 13],
+    350: [11, 12],
+    360: [10, 11, 12],
+    370: [9, 10, 11],
+    380: [8, 9, 10],
+    390: [7, 8, 9],
+    400: [7, 8],
+    410: [6, 7],
+    420: [5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  760: {
+    0: [37, 38],
+    10: [36, 37],
+    20: [35, 36],
+    30: [35, 36],
+    40: [34, 35],
+    50: [34, 35],
+    60: [33, 34],
+    70: [32, 33],
+    80: [32, 33],
+    90: [31, 32],
+    100: [30, 31],
+    110: [30, 31],
+    120: [29, 30],
+    130: [28, 29],
+    140: [28, 29],
+    150: [27, 28],
+    160: [26, 27],
+    170: [25, 26, 27],
+    180: [25, 26],
+    190: [24, 25],
+    200: [23, 24],
+    210: [22, 23, 24],
+    220: [22, 23],
+    230: [21, 22],
+    240: [20, 21],
+    250: [19, 20],
+    260: [18, 19, 20],
+    270: [18, 19],
+    280: [17, 18],
+    290: [16, 17],
+    300: [15, 16],
+    310: [14, 15],
+    320: [13, 14, 15],
+    330: [13, 14],
+    340: [12, 13],
+    350: [11, 12],
+    360: [10, 11],
+    370: [9, 10],
+    380: [8, 9],
+    390: [7, 8, 9],
+    400: [6, 7, 8],
+    410: [6, 7],
+    420: [5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2, 3],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  770: {
+    0: [36, 37],
+    10: [36],
+    20: [35, 36],
+    30: [34, 35],
+    40: [34, 35],
+    50: [33, 34],
+    60: [33, 34],
+    70: [32, 33],
+    80: [31, 32],
+    90: [31, 32],
+    100: [30, 31],
+    110: [29, 30],
+    120: [29, 30],
+    130: [28, 29],
+    140: [27, 28],
+    150: [27, 28],
+    160: [26, 27],
+    170: [25, 26],
+    180: [24, 25],
+    190: [24, 25],
+    200: [23, 24],
+    210: [22, 23],
+    220: [21, 22],
+    230: [20, 21, 22],
+    240: [20, 21],
+    250: [19, 20],
+    260: [18, 19],
+    270: [17, 18, 19],
+    280: [16, 17, 18],
+    290: [16, 17],
+    300: [15, 16],
+    310: [14, 15],
+    320: [13, 14, 15],
+    330: [12, 13, 14],
+    340: [12, 13],
+    350: [11, 12],
+    360: [10, 11],
+    370: [9, 10],
+    380: [8, 9],
+    390: [7, 8, 9],
+    400: [6, 7, 8],
+    410: [5, 6, 7],
+    420: [5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  780: {
+    0: [36, 37],
+    10: [35, 36],
+    20: [35, 36],
+    30: [34, 35],
+    40: [33, 34],
+    50: [33, 34],
+    60: [32, 33],
+    70: [32],
+    80: [31, 32],
+    90: [30, 31],
+    100: [30, 31],
+    110: [29, 30],
+    120: [28, 29],
+    130: [28, 29],
+    140: [27, 28],
+    150: [26, 27],
+    160: [25, 26, 27],
+    170: [25, 26],
+    180: [24, 25],
+    190: [23, 24],
+    200: [23, 24],
+    210: [22, 23],
+    220: [21, 22],
+    230: [20, 21],
+    240: [20, 21],
+    250: [19, 20],
+    260: [18, 19],
+    270: [17, 18],
+    280: [16, 17, 18],
+    290: [16, 17],
+    300: [15, 16],
+    310: [14, 15],
+    320: [13, 14],
+    330: [12, 13],
+    340: [11, 12, 13],
+    350: [11, 12],
+    360: [10, 11],
+    370: [9, 10],
+    380: [8, 9],
+    390: [7, 8],
+    400: [6, 7, 8],
+    410: [5, 6, 7],
+    420: [5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  790: {
+    0: [35, 36],
+    10: [35, 36],
+    20: [34, 35],
+    30: [34, 35],
+    40: [33, 34],
+    50: [32, 33],
+    60: [32, 33],
+    70: [31, 32],
+    80: [31, 32],
+    90: [30, 31],
+    100: [29, 30],
+    110: [29, 30],
+    120: [28, 29],
+    130: [27, 28],
+    140: [27, 28],
+    150: [26, 27],
+    160: [25, 26],
+    170: [24, 25, 26],
+    180: [24, 25],
+    190: [23, 24],
+    200: [22, 23],
+    210: [21, 22, 23],
+    220: [21, 22],
+    230: [20, 21],
+    240: [19, 20],
+    250: [18, 19, 20],
+    260: [18, 19],
+    270: [17, 18],
+    280: [16, 17],
+    290: [15, 16, 17],
+    300: [14, 15, 16],
+    310: [14, 15],
+    320: [13, 14],
+    330: [12, 13],
+    340: [11, 12, 13],
+    350: [10, 11, 12],
+    360: [10, 11],
+    370: [9, 10],
+    380: [8, 9],
+    390: [7, 8],
+    400: [6, 7],
+    410: [5, 6, 7],
+    420: [5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  800: {
+    0: [35, 36],
+    10: [35],
+    20: [34, 35],
+    30: [33, 34],
+    40: [33, 34],
+    50: [32, 33],
+    60: [31, 32],
+    70: [31, 32],
+    80: [30, 31],
+    90: [30, 31],
+    100: [29, 30],
+    110: [28, 29],
+    120: [28, 29],
+    130: [27, 28],
+    140: [26, 27],
+    150: [26, 27],
+    160: [25, 26],
+    170: [24, 25],
+    180: [23, 24],
+    190: [23, 24],
+    200: [22, 23],
+    210: [21, 22],
+    220: [21, 22],
+    230: [20, 21],
+    240: [19, 20],
+    250: [18, 19],
+    260: [18, 19],
+    270: [17, 18],
+    280: [16, 17],
+    290: [15, 16],
+    300: [14, 15],
+    310: [14, 15],
+    320: [13, 14],
+    330: [12, 13],
+    340: [11, 12],
+    350: [10, 11, 12],
+    360: [10, 11],
+    370: [9, 10],
+    380: [8, 9],
+    390: [7, 8],
+    400: [6, 7],
+    410: [5, 6, 7],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  810: {
+    0: [35, 36],
+    10: [34, 35],
+    20: [33, 34],
+    30: [33, 34],
+    40: [32, 33],
+    50: [32, 33],
+    60: [31, 32],
+    70: [31],
+    80: [30, 31],
+    90: [29, 30],
+    100: [29, 30],
+    110: [28, 29],
+    120: [27, 28],
+    130: [27, 28],
+    140: [26, 27],
+    150: [25, 26],
+    160: [24, 25, 26],
+    170: [24, 25],
+    180: [23, 24],
+    190: [22, 23, 24],
+    200: [22, 23],
+    210: [21, 22],
+    220: [20, 21],
+    230: [19, 20, 21],
+    240: [19, 20],
+    250: [18, 19],
+    260: [17, 18],
+    270: [16, 17, 18],
+    280: [16, 17],
+    290: [15, 16],
+    300: [14, 15],
+    310: [13, 14, 15],
+    320: [13, 14],
+    330: [12, 13],
+    340: [11, 12],
+    350: [10, 11],
+    360: [9, 10, 11],
+    370: [9, 10],
+    380: [8, 9],
+    390: [7, 8],
+    400: [6, 7],
+    410: [5, 6, 7],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1],
+    480: [0, 1],
+    490: [0]
+  },
+  820: {
+    0: [34, 35],
+    10: [34, 35],
+    20: [33, 34],
+    30: [33],
+    40: [32, 33],
+    50: [31, 32],
+    60: [31, 32],
+    70: [30, 31],
+    80: [29, 30],
+    90: [29, 30],
+    100: [28, 29],
+    110: [28, 29],
+    120: [27, 28],
+    130: [26, 27],
+    140: [26, 27],
+    150: [25, 26],
+    160: [24, 25],
+    170: [24, 25],
+    180: [23, 24],
+    190: [22, 23],
+    200: [22],
+    210: [21, 22],
+    220: [20, 21],
+    230: [19, 20],
+    240: [19, 20],
+    250: [18, 19],
+    260: [17, 18],
+    270: [16, 17],
+    280: [16, 17],
+    290: [15, 16],
+    300: [14, 15],
+    310: [13, 14],
+    320: [12, 13, 14],
+    330: [12, 13],
+    340: [11, 12],
+    350: [10, 11],
+    360: [9, 10],
+    370: [8, 9, 10],
+    380: [8, 9],
+    390: [7, 8],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1],
+    480: [0, 1],
+    490: [0]
+  },
+  830: {
+    0: [34, 35],
+    10: [33, 34],
+    20: [33, 34],
+    30: [32, 33],
+    40: [32],
+    50: [31, 32],
+    60: [30, 31],
+    70: [30, 31],
+    80: [29, 30],
+    90: [29],
+    100: [28, 29],
+    110: [27, 28],
+    120: [27, 28],
+    130: [26, 27],
+    140: [25, 26],
+    150: [25, 26],
+    160: [24, 25],
+    170: [23, 24],
+    180: [23, 24],
+    190: [22, 23],
+    200: [21, 22],
+    210: [20, 21, 22],
+    220: [20, 21],
+    230: [19, 20],
+    240: [18, 19],
+    250: [18, 19],
+    260: [17, 18],
+    270: [16, 17],
+    280: [15, 16],
+    290: [15, 16],
+    300: [14, 15],
+    310: [13, 14],
+    320: [12, 13],
+    330: [11, 12, 13],
+    340: [11, 12],
+    350: [10, 11],
+    360: [9, 10],
+    370: [8, 9, 10],
+    380: [8, 9],
+    390: [7, 8],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5, 6],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  840: {
+    0: [34],
+    10: [33, 34],
+    20: [32, 33],
+    30: [32, 33],
+    40: [31, 32],
+    50: [31, 32],
+    60: [30, 31],
+    70: [29, 30],
+    80: [29, 30],
+    90: [28, 29],
+    100: [28],
+    110: [27, 28],
+    120: [26, 27],
+    130: [26, 27],
+    140: [25, 26],
+    150: [24, 25],
+    160: [24, 25],
+    170: [23, 24],
+    180: [22, 23],
+    190: [22, 23],
+    200: [21, 22],
+    210: [20, 21],
+    220: [20],
+    230: [19, 20],
+    240: [18, 19],
+    250: [17, 18],
+    260: [17, 18],
+    270: [16, 17],
+    280: [15, 16],
+    290: [14, 15, 16],
+    300: [14, 15],
+    310: [13, 14],
+    320: [12, 13],
+    330: [11, 12, 13],
+    340: [11, 12],
+    350: [10, 11],
+    360: [9, 10],
+    370: [8, 9],
+    380: [8, 9],
+    390: [7, 8],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [3, 4, 5],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1, 2],
+    480: [0, 1],
+    490: [0]
+  },
+  850: {
+    0: [33, 34],
+    10: [33],
+    20: [32, 33],
+    30: [32],
+    40: [31, 32],
+    50: [30, 31],
+    60: [30, 31],
+    70: [29, 30],
+    80: [29],
+    90: [28, 29],
+    100: [27, 28],
+    110: [27, 28],
+    120: [26, 27],
+    130: [25, 26],
+    140: [25, 26],
+    150: [24, 25],
+    160: [23, 24],
+    170: [23, 24],
+    180: [22, 23],
+    190: [21, 22],
+    200: [21, 22],
+    210: [20, 21],
+    220: [19, 20],
+    230: [19, 20],
+    240: [18, 19],
+    250: [17, 18],
+    260: [16, 17],
+    270: [16, 17],
+    280: [15, 16],
+    290: [14, 15],
+    300: [14, 15],
+    310: [13, 14],
+    320: [12, 13],
+    330: [11, 12],
+    340: [10, 11, 12],
+    350: [10, 11],
+    360: [9, 10],
+    370: [8, 9],
+    380: [7, 8, 9],
+    390: [7, 8],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [3, 4, 5],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1],
+    480: [0, 1],
+    490: [0]
+  },
+  860: {
+    0: [33, 34],
+    10: [32, 33],
+    20: [32, 33],
+    30: [31, 32],
+    40: [31],
+    50: [30, 31],
+    60: [29, 30],
+    70: [29, 30],
+    80: [28, 29],
+    90: [28],
+    100: [27, 28],
+    110: [26, 27],
+    120: [26, 27],
+    130: [25, 26],
+    140: [25],
+    150: [24, 25],
+    160: [23, 24],
+    170: [23],
+    180: [22, 23],
+    190: [21, 22],
+    200: [21],
+    210: [20, 21],
+    220: [19, 20],
+    230: [18, 19],
+    240: [18, 19],
+    250: [17, 18],
+    260: [16, 17],
+    270: [16, 17],
+    280: [15, 16],
+    290: [14, 15],
+    300: [13, 14],
+    310: [13, 14],
+    320: [12, 13],
+    330: [11, 12],
+    340: [10, 11],
+    350: [10, 11],
+    360: [9, 10],
+    370: [8, 9],
+    380: [7, 8],
+    390: [7, 8],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [4, 5],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1],
+    480: [0, 1],
+    490: [0]
+  },
+  870: {
+    0: [33],
+    10: [32, 33],
+    20: [31, 32],
+    30: [31, 32],
+    40: [30, 31],
+    50: [30, 31],
+    60: [29, 30],
+    70: [29],
+    80: [28, 29],
+    90: [27, 28],
+    100: [27, 28],
+    110: [26, 27],
+    120: [25, 26],
+    130: [25, 26],
+    140: [24, 25],
+    150: [24],
+    160: [23, 24],
+    170: [22, 23],
+    180: [22, 23],
+    190: [21, 22],
+    200: [20, 21],
+    210: [20, 21],
+    220: [19, 20],
+    230: [18, 19],
+    240: [17, 18],
+    250: [17, 18],
+    260: [16, 17],
+    270: [15, 16],
+    280: [15, 16],
+    290: [14, 15],
+    300: [13, 14],
+    310: [12, 13],
+    320: [12, 13],
+    330: [11, 12],
+    340: [10, 11],
+    350: [9, 10, 11],
+    360: [9, 10],
+    370: [8, 9],
+    380: [7, 8],
+    390: [7, 8],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [3, 4, 5],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1],
+    480: [0, 1],
+    490: [0]
+  },
+  880: {
+    0: [32, 33],
+    10: [32],
+    20: [31, 32],
+    30: [31],
+    40: [30, 31],
+    50: [29, 30],
+    60: [29, 30],
+    70: [28, 29],
+    80: [28],
+    90: [27, 28],
+    100: [26, 27],
+    110: [26, 27],
+    120: [25, 26],
+    130: [25],
+    140: [24, 25],
+    150: [23, 24],
+    160: [23, 24],
+    170: [22, 23],
+    180: [21, 22],
+    190: [21, 22],
+    200: [20, 21],
+    210: [19, 20],
+    220: [19, 20],
+    230: [18, 19],
+    240: [17, 18],
+    250: [17, 18],
+    260: [16, 17],
+    270: [15, 16],
+    280: [14, 15],
+    290: [14, 15],
+    300: [13, 14],
+    310: [12, 13],
+    320: [12, 13],
+    330: [11, 12],
+    340: [10, 11],
+    350: [9, 10],
+    360: [9, 10],
+    370: [8, 9],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1],
+    480: [0, 1],
+    490: [0]
+  },
+  890: {
+    0: [32, 33],
+    10: [31, 32],
+    20: [31, 32],
+    30: [30, 31],
+    40: [30],
+    50: [29, 30],
+    60: [29],
+    70: [28, 29],
+    80: [27, 28],
+    90: [27, 28],
+    100: [26, 27],
+    110: [26],
+    120: [25, 26],
+    130: [24, 25],
+    140: [24, 25],
+    150: [23, 24],
+    160: [22, 23],
+    170: [22, 23],
+    180: [21, 22],
+    190: [20, 21],
+    200: [20, 21],
+    210: [19, 20],
+    220: [18, 19],
+    230: [18, 19],
+    240: [17, 18],
+    250: [16, 17],
+    260: [16, 17],
+    270: [15, 16],
+    280: [14, 15],
+    290: [14, 15],
+    300: [13, 14],
+    310: [12, 13],
+    320: [11, 12],
+    330: [11, 12],
+    340: [10, 11],
+    350: [9, 10],
+    360: [9, 10],
+    370: [8, 9],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1],
+    480: [0, 1],
+    490: [0]
+  },
+  900: {
+    0: [32],
+    10: [31, 32],
+    20: [31],
+    30: [30, 31],
+    40: [29, 30],
+    50: [29, 30],
+    60: [28, 29],
+    70: [28],
+    80: [27, 28],
+    90: [27],
+    100: [26, 27],
+    110: [25, 26],
+    120: [25],
+    130: [24, 25],
+    140: [23, 24],
+    150: [23, 24],
+    160: [22, 23],
+    170: [22],
+    180: [21, 22],
+    190: [20, 21],
+    200: [20],
+    210: [19, 20],
+    220: [18, 19],
+    230: [18, 19],
+    240: [17, 18],
+    250: [16, 17],
+    260: [16],
+    270: [15, 16],
+    280: [14, 15],
+    290: [14],
+    300: [13, 14],
+    310: [12, 13],
+    320: [11, 12],
+    330: [11, 12],
+    340: [10, 11],
+    350: [9, 10],
+    360: [8, 9],
+    370: [8, 9],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [0, 1],
+    490: [0]
+  },
+  910: {
+    0: [31, 32],
+    10: [31],
+    20: [30, 31],
+    30: [30],
+    40: [29, 30],
+    50: [29],
+    60: [28, 29],
+    70: [27, 28],
+    80: [27, 28],
+    90: [26, 27],
+    100: [26],
+    110: [25, 26],
+    120: [24, 25],
+    130: [24, 25],
+    140: [23, 24],
+    150: [23],
+    160: [22, 23],
+    170: [21, 22],
+    180: [21, 22],
+    190: [20, 21],
+    200: [19, 20],
+    210: [19, 20],
+    220: [18, 19],
+    230: [17, 18],
+    240: [17, 18],
+    250: [16, 17],
+    260: [15, 16],
+    270: [15, 16],
+    280: [14, 15],
+    290: [13, 14],
+    300: [13, 14],
+    310: [12, 13],
+    320: [11, 12],
+    330: [11],
+    340: [10, 11],
+    350: [9, 10],
+    360: [8, 9],
+    370: [8, 9],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6, 7],
+    410: [5, 6],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1],
+    480: [0, 1],
+    490: [0]
+  },
+  920: {
+    0: [31, 32],
+    10: [31],
+    20: [30, 31],
+    30: [29, 30],
+    40: [29, 30],
+    50: [28, 29],
+    60: [28],
+    70: [27, 28],
+    80: [27],
+    90: [26, 27],
+    100: [25, 26],
+    110: [25, 26],
+    120: [24, 25],
+    130: [24],
+    140: [23, 24],
+    150: [22, 23],
+    160: [22],
+    170: [21, 22],
+    180: [20, 21],
+    190: [20, 21],
+    200: [19, 20],
+    210: [19],
+    220: [18, 19],
+    230: [17, 18],
+    240: [17],
+    250: [16, 17],
+    260: [15, 16],
+    270: [15],
+    280: [14, 15],
+    290: [13, 14],
+    300: [12, 13],
+    310: [12, 13],
+    320: [11, 12],
+    330: [10, 11],
+    340: [10, 11],
+    350: [9, 10],
+    360: [8, 9],
+    370: [8, 9],
+    380: [7, 8],
+    390: [6, 7],
+    400: [6],
+    410: [5, 6],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1],
+    480: [0, 1],
+    490: [0]
+  },
+  930: {
+    0: [31],
+    10: [30, 31],
+    20: [30],
+    30: [29, 30],
+    40: [29],
+    50: [28, 29],
+    60: [27, 28],
+    70: [27, 28],
+    80: [26, 27],
+    90: [26],
+    100: [25, 26],
+    110: [25],
+    120: [24, 25],
+    130: [23, 24],
+    140: [23, 24],
+    150: [22, 23],
+    160: [21, 22],
+    170: [21, 22],
+    180: [20, 21],
+    190: [20],
+    200: [19, 20],
+    210: [18, 19],
+    220: [18],
+    230: [17, 18],
+    240: [16, 17],
+    250: [16, 17],
+    260: [15, 16],
+    270: [14, 15],
+    280: [14, 15],
+    290: [13, 14],
+    300: [12, 13],
+    310: [12, 13],
+    320: [11, 12],
+    330: [10, 11],
+    340: [10, 11],
+    350: [9, 10],
+    360: [8, 9],
+    370: [8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [5, 6],
+    410: [5, 6],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [0, 1],
+    480: [0, 1],
+    490: [0]
+  },
+  940: {
+    0: [30, 31],
+    10: [30, 31],
+    20: [29, 30],
+    30: [29, 30],
+    40: [28, 29],
+    50: [28],
+    60: [27, 28],
+    70: [27],
+    80: [26, 27],
+    90: [25, 26],
+    100: [25, 26],
+    110: [24, 25],
+    120: [24],
+    130: [23, 24],
+    140: [22, 23],
+    150: [22, 23],
+    160: [21, 22],
+    170: [21],
+    180: [20, 21],
+    190: [19, 20],
+    200: [19, 20],
+    210: [18, 19],
+    220: [18],
+    230: [17, 18],
+    240: [16, 17],
+    250: [16],
+    260: [15, 16],
+    270: [14, 15],
+    280: [14],
+    290: [13, 14],
+    300: [12, 13],
+    310: [12],
+    320: [11, 12],
+    330: [10, 11],
+    340: [10],
+    350: [9, 10],
+    360: [8, 9],
+    370: [8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [5, 6],
+    410: [5, 6],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [0, 1],
+    490: [0]
+  },
+  950: {
+    0: [30, 31],
+    10: [30],
+    20: [29, 30],
+    30: [29],
+    40: [28, 29],
+    50: [27, 28],
+    60: [27, 28],
+    70: [26, 27],
+    80: [26],
+    90: [25, 26],
+    100: [25],
+    110: [24, 25],
+    120: [23, 24],
+    130: [23, 24],
+    140: [22, 23],
+    150: [22],
+    160: [21, 22],
+    170: [20, 21],
+    180: [20, 21],
+    190: [19, 20],
+    200: [19],
+    210: [18, 19],
+    220: [17, 18],
+    230: [17, 18],
+    240: [16, 17],
+    250: [15, 16],
+    260: [15, 16],
+    270: [14, 15],
+    280: [13, 14],
+    290: [13, 14],
+    300: [12, 13],
+    310: [11, 12],
+    320: [11, 12],
+    330: [10, 11],
+    340: [9, 10],
+    350: [9, 10],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [5, 6],
+    410: [5, 6],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3, 4],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [0, 1],
+    490: [0]
+  },
+  960: {
+    0: [30, 31],
+    10: [29, 30],
+    20: [29],
+    30: [28, 29],
+    40: [28],
+    50: [27, 28],
+    60: [27],
+    70: [26, 27],
+    80: [26],
+    90: [25, 26],
+    100: [24, 25],
+    110: [24],
+    120: [23, 24],
+    130: [23],
+    140: [22, 23],
+    150: [21, 22],
+    160: [21, 22],
+    170: [20, 21],
+    180: [20],
+    190: [19, 20],
+    200: [18, 19],
+    210: [18, 19],
+    220: [17, 18],
+    230: [17],
+    240: [16, 17],
+    250: [15, 16],
+    260: [15],
+    270: [14, 15],
+    280: [13, 14],
+    290: [13],
+    300: [12, 13],
+    310: [11, 12],
+    320: [11, 12],
+    330: [10, 11],
+    340: [9, 10],
+    350: [9, 10],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7, 8],
+    390: [6, 7],
+    400: [5, 6],
+    410: [5, 6],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [0, 1],
+    490: [0]
+  },
+  970: {
+    0: [30],
+    10: [29, 30],
+    20: [29],
+    30: [28, 29],
+    40: [27, 28],
+    50: [27, 28],
+    60: [26, 27],
+    70: [26, 27],
+    80: [25, 26],
+    90: [25],
+    100: [24, 25],
+    110: [24],
+    120: [23, 24],
+    130: [22, 23],
+    140: [22, 23],
+    150: [21, 22],
+    160: [21],
+    170: [20, 21],
+    180: [19, 20],
+    190: [19, 20],
+    200: [18, 19],
+    210: [18],
+    220: [17, 18],
+    230: [16, 17],
+    240: [16, 17],
+    250: [15, 16],
+    260: [14, 15],
+    270: [14, 15],
+    280: [13, 14],
+    290: [13],
+    300: [12, 13],
+    310: [11, 12],
+    320: [11],
+    330: [10, 11],
+    340: [9, 10],
+    350: [9],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7],
+    390: [6, 7],
+    400: [5, 6],
+    410: [5],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [0, 1],
+    490: [0]
+  },
+  980: {
+    0: [29, 30],
+    10: [29],
+    20: [28, 29],
+    30: [28],
+    40: [27, 28],
+    50: [27],
+    60: [26, 27],
+    70: [26],
+    80: [25, 26],
+    90: [24, 25],
+    100: [24, 25],
+    110: [23, 24],
+    120: [23],
+    130: [22, 23],
+    140: [22],
+    150: [21, 22],
+    160: [21],
+    170: [20, 21],
+    180: [19, 20],
+    190: [19],
+    200: [18, 19],
+    210: [17, 18],
+    220: [17, 18],
+    230: [16, 17],
+    240: [16],
+    250: [15, 16],
+    260: [14, 15],
+    270: [14],
+    280: [13, 14],
+    290: [12, 13],
+    300: [12, 13],
+    310: [11, 12],
+    320: [11],
+    330: [10, 11],
+    340: [9, 10],
+    350: [9],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7],
+    390: [6, 7],
+    400: [5, 6],
+    410: [5],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [0, 1],
+    490: [0]
+  },
+  990: {
+    0: [29, 30],
+    10: [29],
+    20: [28, 29],
+    30: [28],
+    40: [27, 28],
+    50: [27],
+    60: [26, 27],
+    70: [25, 26],
+    80: [25],
+    90: [24, 25],
+    100: [24],
+    110: [23, 24],
+    120: [23],
+    130: [22, 23],
+    140: [21, 22],
+    150: [21, 22],
+    160: [20, 21],
+    170: [20],
+    180: [19, 20],
+    190: [19],
+    200: [18, 19],
+    210: [17, 18],
+    220: [17],
+    230: [16, 17],
+    240: [15, 16],
+    250: [15, 16],
+    260: [14, 15],
+    270: [14],
+    280: [13, 14],
+    290: [12, 13],
+    300: [12],
+    310: [11, 12],
+    320: [10, 11],
+    330: [10, 11],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7],
+    390: [6, 7],
+    400: [5, 6],
+    410: [5],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [0, 1],
+    490: [0]
+  },
+  1000: {
+    0: [29],
+    10: [28, 29],
+    20: [28],
+    30: [27, 28],
+    40: [27],
+    50: [26, 27],
+    60: [26],
+    70: [25, 26],
+    80: [25],
+    90: [24, 25],
+    100: [24],
+    110: [23, 24],
+    120: [22, 23],
+    130: [22],
+    140: [21, 22],
+    150: [21],
+    160: [20, 21],
+    170: [19, 20],
+    180: [19, 20],
+    190: [18, 19],
+    200: [18],
+    210: [17, 18],
+    220: [17],
+    230: [16, 17],
+    240: [15, 16],
+    250: [15],
+    260: [14, 15],
+    270: [13, 14],
+    280: [13, 14],
+    290: [12, 13],
+    300: [12],
+    310: [11, 12],
+    320: [10, 11],
+    330: [10],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8, 9],
+    370: [7, 8],
+    380: [7],
+    390: [6, 7],
+    400: [5, 6],
+    410: [5],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [0, 1],
+    490: [0]
+  },
+  1010: {
+    0: [29],
+    10: [28, 29],
+    20: [28],
+    30: [27, 28],
+    40: [27],
+    50: [26, 27],
+    60: [25, 26],
+    70: [25],
+    80: [24, 25],
+    90: [24],
+    100: [23, 24],
+    110: [23],
+    120: [22, 23],
+    130: [22],
+    140: [21, 22],
+    150: [20, 21],
+    160: [20, 21],
+    170: [19, 20],
+    180: [19],
+    190: [18, 19],
+    200: [18],
+    210: [17, 18],
+    220: [16, 17],
+    230: [16],
+    240: [15, 16],
+    250: [15],
+    260: [14, 15],
+    270: [13, 14],
+    280: [13],
+    290: [12, 13],
+    300: [12],
+    310: [11, 12],
+    320: [10, 11],
+    330: [10],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8],
+    370: [7, 8],
+    380: [6, 7],
+    390: [6, 7],
+    400: [5, 6],
+    410: [4, 5],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [0, 1],
+    490: [0]
+  },
+  1020: {
+    0: [28, 29],
+    10: [28],
+    20: [27, 28],
+    30: [27],
+    40: [26, 27],
+    50: [26],
+    60: [25, 26],
+    70: [25],
+    80: [24, 25],
+    90: [24],
+    100: [23, 24],
+    110: [23],
+    120: [22, 23],
+    130: [21, 22],
+    140: [21],
+    150: [20, 21],
+    160: [20],
+    170: [19, 20],
+    180: [19],
+    190: [18, 19],
+    200: [17, 18],
+    210: [17],
+    220: [16, 17],
+    230: [16],
+    240: [15, 16],
+    250: [14, 15],
+    260: [14, 15],
+    270: [13, 14],
+    280: [13],
+    290: [12, 13],
+    300: [11, 12],
+    310: [11],
+    320: [10, 11],
+    330: [10],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8],
+    370: [7, 8],
+    380: [6, 7],
+    390: [6, 7],
+    400: [5, 6],
+    410: [4, 5],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [0, 1],
+    490: [0],
+    500: [0]
+  },
+  1030: {
+    0: [28, 29],
+    10: [28],
+    20: [27, 28],
+    30: [27],
+    40: [26, 27],
+    50: [26],
+    60: [25, 26],
+    70: [24, 25],
+    80: [24, 25],
+    90: [23, 24],
+    100: [23],
+    110: [22, 23],
+    120: [22],
+    130: [21, 22],
+    140: [21],
+    150: [20, 21],
+    160: [20],
+    170: [19, 20],
+    180: [18, 19],
+    190: [18],
+    200: [17, 18],
+    210: [17],
+    220: [16, 17],
+    230: [15, 16],
+    240: [15, 16],
+    250: [14, 15],
+    260: [14],
+    270: [13, 14],
+    280: [13],
+    290: [12, 13],
+    300: [11, 12],
+    310: [11],
+    320: [10, 11],
+    330: [9, 10],
+    340: [9, 10],
+    350: [8, 9],
+    360: [8],
+    370: [7, 8],
+    380: [6, 7],
+    390: [6],
+    400: [5, 6],
+    410: [4, 5],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [0, 1],
+    490: [0],
+    500: [0]
+  },
+  1040: {
+    0: [28],
+    10: [27, 28],
+    20: [27],
+    30: [26, 27],
+    40: [26],
+    50: [25, 26],
+    60: [25],
+    70: [24, 25],
+    80: [24],
+    90: [23, 24],
+    100: [23],
+    110: [22, 23],
+    120: [22],
+    130: [21, 22],
+    140: [21],
+    150: [20, 21],
+    160: [19, 20],
+    170: [19],
+    180: [18, 19],
+    190: [18],
+    200: [17, 18],
+    210: [17],
+    220: [16, 17],
+    230: [15, 16],
+    240: [15],
+    250: [14, 15],
+    260: [14],
+    270: [13, 14],
+    280: [12, 13],
+    290: [12],
+    300: [11, 12],
+    310: [11],
+    320: [10, 11],
+    330: [9, 10],
+    340: [9],
+    350: [8, 9],
+    360: [8],
+    370: [7, 8],
+    380: [6, 7],
+    390: [6],
+    400: [5, 6],
+    410: [4, 5],
+    420: [4, 5],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [0, 1],
+    490: [0],
+    500: [0]
+  },
+  1050: {
+    0: [28],
+    10: [27, 28],
+    20: [27],
+    30: [26, 27],
+    40: [26],
+    50: [25, 26],
+    60: [25],
+    70: [24, 25],
+    80: [24],
+    90: [23, 24],
+    100: [22, 23],
+    110: [22],
+    120: [21, 22],
+    130: [21],
+    140: [20, 21],
+    150: [20],
+    160: [19, 20],
+    170: [19],
+    180: [18, 19],
+    190: [18],
+    200: [17, 18],
+    210: [16, 17],
+    220: [16],
+    230: [15, 16],
+    240: [15],
+    250: [14, 15],
+    260: [13, 14],
+    270: [13, 14],
+    280: [12, 13],
+    290: [12],
+    300: [11, 12],
+    310: [10, 11],
+    320: [10, 11],
+    330: [9, 10],
+    340: [9],
+    350: [8, 9],
+    360: [7, 8],
+    370: [7, 8],
+    380: [6, 7],
+    390: [6],
+    400: [5, 6],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [0, 1],
+    490: [0],
+    500: [0]
+  },
+  1060: {
+    0: [27, 28],
+    10: [27],
+    20: [26, 27],
+    30: [26],
+    40: [25, 26],
+    50: [25],
+    60: [24, 25],
+    70: [24],
+    80: [23, 24],
+    90: [23],
+    100: [22, 23],
+    110: [22],
+    120: [21, 22],
+    130: [21],
+    140: [20, 21],
+    150: [20],
+    160: [19, 20],
+    170: [18, 19],
+    180: [18, 19],
+    190: [17, 18],
+    200: [17],
+    210: [16, 17],
+    220: [16],
+    230: [15, 16],
+    240: [15],
+    250: [14, 15],
+    260: [13, 14],
+    270: [13],
+    280: [12, 13],
+    290: [12],
+    300: [11, 12],
+    310: [10, 11],
+    320: [10],
+    330: [9, 10],
+    340: [9],
+    350: [8, 9],
+    360: [7, 8],
+    370: [7, 8],
+    380: [6, 7],
+    390: [6],
+    400: [5, 6],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [0, 1],
+    490: [0],
+    500: [0]
+  },
+  1070: {
+    0: [27, 28],
+    10: [27],
+    20: [26, 27],
+    30: [26],
+    40: [25, 26],
+    50: [25],
+    60: [24, 25],
+    70: [24],
+    80: [23, 24],
+    90: [23],
+    100: [22, 23],
+    110: [22],
+    120: [21, 22],
+    130: [21],
+    140: [20, 21],
+    150: [19, 20],
+    160: [19],
+    170: [18, 19],
+    180: [18],
+    190: [17, 18],
+    200: [17],
+    210: [16, 17],
+    220: [16],
+    230: [15, 16],
+    240: [14, 15],
+    250: [14],
+    260: [13, 14],
+    270: [13],
+    280: [12, 13],
+    290: [11, 12],
+    300: [11, 12],
+    310: [10, 11],
+    320: [10],
+    330: [9, 10],
+    340: [9],
+    350: [8, 9],
+    360: [7, 8],
+    370: [7],
+    380: [6, 7],
+    390: [6],
+    400: [5, 6],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [1],
+    490: [0]
+  },
+  1080: {
+    0: [27],
+    10: [27],
+    20: [26],
+    30: [26],
+    40: [25],
+    50: [25],
+    60: [24],
+    70: [23, 24],
+    80: [23],
+    90: [22, 23],
+    100: [22],
+    110: [21, 22],
+    120: [21],
+    130: [20, 21],
+    140: [20],
+    150: [19, 20],
+    160: [19],
+    170: [18, 19],
+    180: [18],
+    190: [17, 18],
+    200: [17],
+    210: [16, 17],
+    220: [15, 16],
+    230: [15],
+    240: [14, 15],
+    250: [14],
+    260: [13, 14],
+    270: [13],
+    280: [12, 13],
+    290: [11, 12],
+    300: [11],
+    310: [10, 11],
+    320: [10],
+    330: [9, 10],
+    340: [8, 9],
+    350: [8, 9],
+    360: [7, 8],
+    370: [7],
+    380: [6, 7],
+    390: [6],
+    400: [5, 6],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [1]
+  },
+  1090: {
+    0: [27],
+    10: [26, 27],
+    20: [26],
+    30: [25, 26],
+    40: [25],
+    50: [24, 25],
+    60: [24],
+    70: [23, 24],
+    80: [23],
+    90: [22, 23],
+    100: [22],
+    110: [21, 22],
+    120: [21],
+    130: [20, 21],
+    140: [20],
+    150: [19, 20],
+    160: [19],
+    170: [18, 19],
+    180: [17, 18],
+    190: [17],
+    200: [16, 17],
+    210: [16],
+    220: [15, 16],
+    230: [15],
+    240: [14, 15],
+    250: [14],
+    260: [13, 14],
+    270: [12, 13],
+    280: [12],
+    290: [11, 12],
+    300: [11],
+    310: [10, 11],
+    320: [10],
+    330: [9, 10],
+    340: [8, 9],
+    350: [8],
+    360: [7, 8],
+    370: [7],
+    380: [6, 7],
+    390: [6],
+    400: [5, 6],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [1]
+  },
+  1100: {
+    0: [27],
+    10: [26],
+    20: [26],
+    30: [25, 26],
+    40: [25],
+    50: [24, 25],
+    60: [24],
+    70: [23, 24],
+    80: [23],
+    90: [22, 23],
+    100: [22],
+    110: [21, 22],
+    120: [21],
+    130: [20],
+    140: [19, 20],
+    150: [19],
+    160: [18, 19],
+    170: [18],
+    180: [17, 18],
+    190: [17],
+    200: [16, 17],
+    210: [16],
+    220: [15, 16],
+    230: [15],
+    240: [14, 15],
+    250: [13, 14],
+    260: [13],
+    270: [12, 13],
+    280: [12],
+    290: [11, 12],
+    300: [11],
+    310: [10, 11],
+    320: [10],
+    330: [9, 10],
+    340: [8, 9],
+    350: [8],
+    360: [7, 8],
+    370: [7],
+    380: [6, 7],
+    390: [6],
+    400: [5],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [1]
+  },
+  1110: {
+    0: [26, 27],
+    10: [26],
+    20: [25, 26],
+    30: [25],
+    40: [24, 25],
+    50: [24],
+    60: [23, 24],
+    70: [23],
+    80: [22, 23],
+    90: [22],
+    100: [21, 22],
+    110: [21],
+    120: [20, 21],
+    130: [20],
+    140: [19, 20],
+    150: [19],
+    160: [18, 19],
+    170: [18],
+    180: [17, 18],
+    190: [17],
+    200: [16, 17],
+    210: [16],
+    220: [15, 16],
+    230: [14, 15],
+    240: [14, 15],
+    250: [13, 14],
+    260: [13],
+    270: [12, 13],
+    280: [12],
+    290: [11, 12],
+    300: [11],
+    310: [10, 11],
+    320: [9, 10],
+    330: [9],
+    340: [8, 9],
+    350: [8],
+    360: [7, 8],
+    370: [7],
+    380: [6, 7],
+    390: [5, 6],
+    400: [5],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [1]
+  },
+  1120: {
+    0: [26, 27],
+    10: [26],
+    20: [25, 26],
+    30: [25],
+    40: [24, 25],
+    50: [24],
+    60: [23, 24],
+    70: [23],
+    80: [22, 23],
+    90: [22],
+    100: [21, 22],
+    110: [21],
+    120: [20, 21],
+    130: [20],
+    140: [19, 20],
+    150: [19],
+    160: [18, 19],
+    170: [18],
+    180: [17, 18],
+    190: [17],
+    200: [16, 17],
+    210: [15, 16],
+    220: [15],
+    230: [14, 15],
+    240: [14],
+    250: [13, 14],
+    260: [13],
+    270: [12, 13],
+    280: [12],
+    290: [11, 12],
+    300: [11],
+    310: [10, 11],
+    320: [9, 10],
+    330: [9],
+    340: [8, 9],
+    350: [8],
+    360: [7, 8],
+    370: [7],
+    380: [6, 7],
+    390: [5, 6],
+    400: [5],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [1]
+  },
+  1130: {
+    0: [26],
+    10: [25, 26],
+    20: [25],
+    30: [25],
+    40: [24],
+    50: [24],
+    60: [23],
+    70: [23],
+    80: [22],
+    90: [22],
+    100: [21, 22],
+    110: [21],
+    120: [20, 21],
+    130: [20],
+    140: [19, 20],
+    150: [19],
+    160: [18],
+    170: [17, 18],
+    180: [17],
+    190: [16, 17],
+    200: [16],
+    210: [15, 16],
+    220: [15],
+    230: [14, 15],
+    240: [14],
+    250: [13, 14],
+    260: [13],
+    270: [12, 13],
+    280: [12],
+    290: [11, 12],
+    300: [10, 11],
+    310: [10],
+    320: [9, 10],
+    330: [9],
+    340: [8, 9],
+    350: [8],
+    360: [7, 8],
+    370: [7],
+    380: [6, 7],
+    390: [5, 6],
+    400: [5],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [1]
+  },
+  1140: {
+    0: [26],
+    10: [25, 26],
+    20: [25],
+    30: [24, 25],
+    40: [24],
+    50: [23, 24],
+    60: [23],
+    70: [22, 23],
+    80: [22],
+    90: [21, 22],
+    100: [21],
+    110: [20, 21],
+    120: [20],
+    130: [19, 20],
+    140: [19],
+    150: [18, 19],
+    160: [18],
+    170: [17, 18],
+    180: [17],
+    190: [16, 17],
+    200: [16],
+    210: [15, 16],
+    220: [15],
+    230: [14, 15],
+    240: [14],
+    250: [13, 14],
+    260: [13],
+    270: [12, 13],
+    280: [11, 12],
+    290: [11],
+    300: [10, 11],
+    310: [10],
+    320: [9, 10],
+    330: [9],
+    340: [8, 9],
+    350: [8],
+    360: [7, 8],
+    370: [7],
+    380: [6],
+    390: [5, 6],
+    400: [5],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [1]
+  },
+  1150: {
+    0: [26],
+    10: [25],
+    20: [25],
+    30: [24, 25],
+    40: [24],
+    50: [23, 24],
+    60: [23],
+    70: [22, 23],
+    80: [22],
+    90: [21, 22],
+    100: [21],
+    110: [20, 21],
+    120: [20],
+    130: [19, 20],
+    140: [19],
+    150: [18, 19],
+    160: [18],
+    170: [17, 18],
+    180: [17],
+    190: [16, 17],
+    200: [16],
+    210: [15, 16],
+    220: [15],
+    230: [14, 15],
+    240: [14],
+    250: [13, 14],
+    260: [12, 13],
+    270: [12],
+    280: [11, 12],
+    290: [11],
+    300: [10, 11],
+    310: [10],
+    320: [9, 10],
+    330: [9],
+    340: [8, 9],
+    350: [8],
+    360: [7, 8],
+    370: [6, 7],
+    380: [6],
+    390: [5, 6],
+    400: [5],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [1]
+  },
+  1160: {
+    0: [25, 26],
+    10: [25],
+    20: [24, 25],
+    30: [24],
+    40: [23, 24],
+    50: [23],
+    60: [23],
+    70: [22],
+    80: [22],
+    90: [21, 22],
+    100: [21],
+    110: [20, 21],
+    120: [20],
+    130: [19, 20],
+    140: [19],
+    150: [18, 19],
+    160: [18],
+    170: [17, 18],
+    180: [17],
+    190: [16],
+    200: [16],
+    210: [15],
+    220: [15],
+    230: [14],
+    240: [13, 14],
+    250: [13],
+    260: [12, 13],
+    270: [12],
+    280: [11, 12],
+    290: [11],
+    300: [10, 11],
+    310: [10],
+    320: [9, 10],
+    330: [9],
+    340: [8, 9],
+    350: [8],
+    360: [7],
+    370: [6, 7],
+    380: [6],
+    390: [5, 6],
+    400: [5],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [1]
+  },
+  1170: {
+    0: [25, 26],
+    10: [25],
+    20: [24, 25],
+    30: [24],
+    40: [23, 24],
+    50: [23],
+    60: [22, 23],
+    70: [22],
+    80: [21, 22],
+    90: [21],
+    100: [20, 21],
+    110: [20],
+    120: [19, 20],
+    130: [19],
+    140: [18, 19],
+    150: [18],
+    160: [17, 18],
+    170: [17],
+    180: [16, 17],
+    190: [16],
+    200: [15, 16],
+    210: [15],
+    220: [14, 15],
+    230: [14],
+    240: [13, 14],
+    250: [13],
+    260: [12, 13],
+    270: [12],
+    280: [11, 12],
+    290: [11],
+    300: [10, 11],
+    310: [10],
+    320: [9, 10],
+    330: [9],
+    340: [8, 9],
+    350: [7, 8],
+    360: [7],
+    370: [6, 7],
+    380: [6],
+    390: [5, 6],
+    400: [5],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [1, 2],
+    470: [1],
+    480: [1]
+  },
+  1180: {
+    0: [25],
+    10: [25],
+    20: [24],
+    30: [24],
+    40: [23, 24],
+    50: [23],
+    60: [22, 23],
+    70: [22],
+    80: [21, 22],
+    90: [21],
+    100: [20, 21],
+    110: [20],
+    120: [19, 20],
+    130: [19],
+    140: [18, 19],
+    150: [18],
+    160: [17, 18],
+    170: [17],
+    180: [16, 17],
+    190: [16],
+    200: [15, 16],
+    210: [15],
+    220: [14, 15],
+    230: [14],
+    240: [13, 14],
+    250: [13],
+    260: [12, 13],
+    270: [12],
+    280: [11, 12],
+    290: [11],
+    300: [10, 11],
+    310: [10],
+    320: [9],
+    330: [9],
+    340: [8],
+    350: [7, 8],
+    360: [7],
+    370: [6, 7],
+    380: [6],
+    390: [5, 6],
+    400: [5],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [2],
+    470: [1],
+    480: [1]
+  },
+  1190: {
+    0: [25],
+    10: [24, 25],
+    20: [24],
+    30: [23, 24],
+    40: [23],
+    50: [23],
+    60: [22],
+    70: [22],
+    80: [21],
+    90: [21],
+    100: [20, 21],
+    110: [20],
+    120: [19, 20],
+    130: [19],
+    140: [18, 19],
+    150: [18],
+    160: [17, 18],
+    170: [17],
+    180: [16, 17],
+    190: [16],
+    200: [15, 16],
+    210: [15],
+    220: [14, 15],
+    230: [14],
+    240: [13, 14],
+    250: [13],
+    260: [12, 13],
+    270: [12],
+    280: [11, 12],
+    290: [11],
+    300: [10, 11],
+    310: [10],
+    320: [9],
+    330: [8, 9],
+    340: [8],
+    350: [7, 8],
+    360: [7],
+    370: [6, 7],
+    380: [6],
+    390: [5, 6],
+    400: [5],
+    410: [4, 5],
+    420: [4],
+    430: [3, 4],
+    440: [3],
+    450: [2, 3],
+    460: [2],
+    470: [1],
+    480: [1]
+  }
+};
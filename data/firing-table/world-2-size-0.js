@@ -0,0 +1,6199 @@
+// Firing Table Data for World 2
+// Cannonball size level 0 (radius 8.0px)
+// Generated on 2026-10-19T18:31:49.340Z
+export default {
+  0: {
+    0: [103, 104],
+    10: [103, 104, 105],
+    20: [104, 105],
+    30: [104, 105],
+    40: [104, 105, 106],
+    50: [105, 106],
+    60: [105, 106],
+    70: [105, 106, 107],
+    80: [106, 107],
+    90: [106, 107, 108],
+    100: [106, 107, 108],
+    110: [107, 108],
+    120: [107, 108, 109],
+    130: [108, 109, 110],
+    140: [108, 109, 110],
+    150: [109, 110, 111],
+    160: [110, 111],
+    170: [110, 111, 112],
+    180: [111, 112, 113],
+    190: [111, 112, 113, 114],
+    200: [112, 113, 114],
+    210: [113, 114, 115],
+    220: [113, 114, 115, 116],
+    230: [115, 116, 117],
+    240: [115, 116, 117, 118],
+    250: [117, 118, 119],
+    260: [117, 118, 119, 120, 121],
+    270: [119, 120, 121],
+    280: [119, 120, 121, 122, 123],
+    290: [121, 122, 123, 124],
+    300: [122, 123, 124, 125, 126],
+    310: [124, 125, 126, 127],
+    320: [125, 126, 127, 128, 129, 130],
+    330: [127, 128, 129, 130, 131, 132],
+    340: [130, 131, 132, 133],
+    350: [131, 132, 133, 134, 135, 136],
+    360: [134, 135, 136, 137, 138],
+    370: [136, 137, 138, 139, 140, 141],
+    380: [138, 139, 140, 141, 142, 143, 144],
+    390: [143, 144, 145, 146],
+    400: [145, 146, 147, 148, 149, 150, 151],
+    410: [148, 149, 150, 151, 152, 153, 154, 155],
+    420: [152, 153, 154, 155, 156, 157, 158],
+    430: [157, 158, 159, 160, 161],
+    440: [161, 162, 163, 164, 165, 166],
+    450: [164, 165, 166, 167, 168, 169, 170, 171, 172],
+    460: [169, 170, 171, 172, 173, 174, 175, 176, 177],
+    470: [173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    480: [178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [183, 184, 185, 186, 187, 188],
+    500: [188]
+  },
+  10: {
+    0: [102, 103],
+    10: [102, 103, 104],
+    20: [103, 104],
+    30: [103, 104],
+    40: [103, 104],
+    50: [103, 104, 105],
+    60: [104, 105],
+    70: [104, 105, 106],
+    80: [104, 105, 106],
+    90: [105, 106],
+    100: [105, 106, 107],
+    110: [106, 107],
+    120: [106, 107, 108],
+    130: [106, 107, 108],
+    140: [107, 108],
+    150: [107, 108, 109],
+    160: [108, 109, 110],
+    170: [108, 109, 110, 111],
+    180: [109, 110, 111],
+    190: [110, 111, 112],
+    200: [110, 111, 112, 113],
+    210: [112, 113],
+    220: [111, 112, 113, 114, 115],
+    230: [113, 114, 115],
+    240: [113, 114, 115, 116],
+    250: [114, 115, 116, 117],
+    260: [115, 116, 117, 118],
+    270: [116, 117, 118, 119],
+    280: [117, 118, 119, 120, 121],
+    290: [119, 120, 121, 122],
+    300: [120, 121, 122, 123, 124],
+    310: [122, 123, 124, 125],
+    320: [123, 124, 125, 126, 127, 128],
+    330: [126, 127, 128],
+    340: [126, 127, 128, 129, 130, 131, 132],
+    350: [129, 130, 131, 132, 133],
+    360: [131, 132, 133, 134, 135, 136],
+    370: [133, 134, 135, 136, 137, 138, 139],
+    380: [138, 139, 140],
+    390: [139, 140, 141, 142, 143, 144, 145, 146],
+    400: [142, 143, 144, 145, 146, 147, 148, 149],
+    410: [148, 149, 150, 151],
+    420: [150, 151, 152, 153, 154, 155, 156, 157],
+    430: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    440: [158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [163, 164, 165, 166, 167, 168, 169, 170, 171],
+    460: [169, 170, 171, 172, 173, 174, 175],
+    470: [175, 176, 177, 178, 179, 180],
+    480: [180, 181, 182, 183, 184, 185],
+    490: [184, 185, 186, 187, 188]
+  },
+  20: {
+    0: [101, 102],
+    10: [101, 102],
+    20: [101, 102, 103],
+    30: [102, 103],
+    40: [102, 103],
+    50: [102, 103, 104],
+    60: [103, 104],
+    70: [103, 104],
+    80: [103, 104, 105],
+    90: [104, 105],
+    100: [104, 105],
+    110: [104, 105, 106],
+    120: [105, 106],
+    130: [105, 106, 107],
+    140: [105, 106, 107],
+    150: [106, 107, 108],
+    160: [106, 107, 108],
+    170: [107, 108],
+    180: [107, 108, 109, 110],
+    190: [108, 109, 110],
+    200: [108, 109, 110, 111],
+    210: [109, 110, 111, 112],
+    220: [110, 111, 112],
+    230: [110, 111, 112, 113],
+    240: [112, 113, 114],
+    250: [112, 113, 114, 115],
+    260: [114, 115, 116],
+    270: [114, 115, 116, 117, 118],
+    280: [116, 117, 118],
+    290: [116, 117, 118, 119, 120],
+    300: [118, 119, 120, 121],
+    310: [119, 120, 121, 122, 123],
+    320: [121, 122, 123, 124],
+    330: [122, 123, 124, 125, 126, 127],
+    340: [124, 125, 126, 127, 128, 129],
+    350: [126, 127, 128, 129, 130, 131],
+    360: [128, 129, 130, 131, 132, 133, 134],
+    370: [132, 133, 134, 135],
+    380: [133, 134, 135, 136, 137, 138, 139, 140],
+    390: [136, 137, 138, 139, 140, 141, 142, 143],
+    400: [140, 141, 142, 143, 144, 145, 146],
+    410: [143, 144, 145, 146, 147, 148, 149, 150, 151],
+    420: [147, 148, 149, 150, 151, 152, 153, 154, 155],
+    430: [153, 154, 155, 156, 157, 158],
+    440: [157, 158, 159, 160, 161, 162, 163, 164],
+    450: [161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    480: [177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [183, 184, 185, 186, 187, 188, 189],
+    500: [189]
+  },
+  30: {
+    0: [100, 101],
+    10: [100, 101],
+    20: [100, 101, 102],
+    30: [100, 101, 102],
+    40: [101, 102],
+    50: [101, 102],
+    60: [101, 102, 103],
+    70: [102, 103],
+    80: [102, 103],
+    90: [102, 103, 104],
+    100: [103, 104],
+    110: [103, 104, 105],
+    120: [103, 104, 105],
+    130: [103, 104, 105],
+    140: [104, 105, 106],
+    150: [105, 106],
+    160: [104, 105, 106, 107],
+    170: [105, 106, 107],
+    180: [105, 106, 107, 108],
+    190: [106, 107, 108, 109],
+    200: [107, 108, 109],
+    210: [107, 108, 109, 110],
+    220: [108, 109, 110],
+    230: [108, 109, 110, 111, 112],
+    240: [110, 111, 112],
+    250: [110, 111, 112, 113],
+    260: [111, 112, 113, 114],
+    270: [112, 113, 114, 115],
+    280: [113, 114, 115, 116],
+    290: [114, 115, 116, 117, 118],
+    300: [115, 116, 117, 118, 119],
+    310: [116, 117, 118, 119, 120, 121],
+    320: [118, 119, 120, 121, 122],
+    330: [119, 120, 121, 122, 123, 124],
+    340: [121, 122, 123, 124, 125, 126],
+    350: [122, 123, 124, 125, 126, 127, 128, 129],
+    360: [127, 128, 129],
+    370: [127, 128, 129, 130, 131, 132, 133, 134],
+    380: [130, 131, 132, 133, 134, 135, 136],
+    390: [133, 134, 135, 136, 137, 138, 139, 140],
+    400: [136, 137, 138, 139, 140, 141, 142, 143, 144],
+    410: [141, 142, 143, 144, 145, 146, 147],
+    420: [145, 146, 147, 148, 149, 150, 151, 152],
+    430: [148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    440: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    450: [160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    460: [167, 168, 169, 170, 171, 172, 173, 174],
+    470: [174, 175, 176, 177, 178, 179],
+    480: [181, 182, 183, 184, 185],
+    490: [186, 187, 188, 189]
+  },
+  40: {
+    0: [99, 100],
+    10: [99, 100],
+    20: [99, 100],
+    30: [99, 100, 101],
+    40: [100, 101],
+    50: [100, 101],
+    60: [100, 101],
+    70: [100, 101],
+    80: [100, 101, 102],
+    90: [101, 102],
+    100: [101, 102],
+    110: [101, 102, 103],
+    120: [101, 102, 103],
+    130: [102, 103, 104],
+    140: [102, 103, 104],
+    150: [103, 104],
+    160: [103, 104, 105],
+    170: [103, 104, 105, 106],
+    180: [104, 105, 106],
+    190: [104, 105, 106, 107],
+    200: [105, 106, 107],
+    210: [105, 106, 107, 108],
+    220: [106, 107, 108],
+    230: [106, 107, 108, 109],
+    240: [107, 108, 109, 110],
+    250: [108, 109, 110, 111],
+    260: [108, 109, 110, 111, 112],
+    270: [110, 111, 112],
+    280: [110, 111, 112, 113, 114],
+    290: [112, 113, 114],
+    300: [112, 113, 114, 115, 116, 117],
+    310: [114, 115, 116, 117],
+    320: [114, 115, 116, 117, 118, 119, 120],
+    330: [117, 118, 119, 120],
+    340: [117, 118, 119, 120, 121, 122, 123, 124],
+    350: [120, 121, 122, 123, 124, 125],
+    360: [121, 122, 123, 124, 125, 126, 127, 128],
+    370: [124, 125, 126, 127, 128, 129, 130],
+    380: [127, 128, 129, 130, 131, 132, 133],
+    390: [129, 130, 131, 132, 133, 134, 135, 136, 137],
+    400: [134, 135, 136, 137, 138, 139],
+    410: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    420: [140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    430: [147, 148, 149, 150, 151, 152, 153, 154],
+    440: [153, 154, 155, 156, 157, 158, 159, 160],
+    450: [157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    460: [163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190],
+    490: [184, 185, 186, 187, 188, 189, 190, 191, 192],
+    500: [191, 192]
+  },
+  50: {
+    0: [97, 98, 99],
+    10: [98, 99],
+    20: [98, 99],
+    30: [98, 99],
+    40: [98, 99, 100],
+    50: [99, 100],
+    60: [99, 100],
+    70: [99, 100],
+    80: [99, 100],
+    90: [99, 100, 101],
+    100: [100, 101],
+    110: [100, 101],
+    120: [100, 101, 102],
+    130: [101, 102],
+    140: [100, 101, 102, 103],
+    150: [101, 102, 103],
+    160: [101, 102, 103],
+    170: [101, 102, 103, 104],
+    180: [102, 103, 104],
+    190: [102, 103, 104, 105],
+    200: [103, 104, 105],
+    210: [103, 104, 105, 106],
+    220: [104, 105, 106, 107],
+    230: [105, 106, 107],
+    240: [105, 106, 107, 108],
+    250: [106, 107, 108],
+    260: [106, 107, 108, 109, 110],
+    270: [107, 108, 109, 110],
+    280: [107, 108, 109, 110, 111, 112],
+    290: [109, 110, 111, 112],
+    300: [109, 110, 111, 112, 113, 114],
+    310: [111, 112, 113, 114, 115],
+    320: [111, 112, 113, 114, 115, 116, 117],
+    330: [113, 114, 115, 116, 117, 118],
+    340: [114, 115, 116, 117, 118, 119, 120],
+    350: [117, 118, 119, 120, 121, 122],
+    360: [118, 119, 120, 121, 122, 123, 124, 125],
+    370: [122, 123, 124, 125, 126],
+    380: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    390: [127, 128, 129, 130, 131, 132],
+    400: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    410: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    420: [141, 142, 143],
+    430: [141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    440: [147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    450: [154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    460: [164, 165, 166, 167, 168, 169, 170, 171, 172],
+    470: [173, 174, 175, 176, 177, 178],
+    480: [182, 183, 184, 185, 186],
+    490: [188, 189, 190, 191, 192]
+  },
+  60: {
+    0: [96, 97, 98],
+    10: [96, 97, 98],
+    20: [97, 98],
+    30: [97, 98],
+    40: [97, 98],
+    50: [97, 98],
+    60: [97, 98, 99],
+    70: [97, 98, 99],
+    80: [98, 99],
+    90: [98, 99, 100],
+    100: [98, 99, 100],
+    110: [98, 99, 100],
+    120: [98, 99, 100],
+    130: [99, 100],
+    140: [99, 100, 101],
+    150: [99, 100, 101],
+    160: [100, 101],
+    170: [100, 101, 102],
+    180: [100, 101, 102],
+    190: [100, 101, 102, 103],
+    200: [101, 102, 103, 104],
+    210: [102, 103, 104],
+    220: [101, 102, 103, 104, 105],
+    230: [103, 104],
+    240: [102, 103, 104, 105, 106],
+    250: [103, 104, 105, 106],
+    260: [104, 105, 106, 107],
+    270: [104, 105, 106, 107, 108],
+    280: [105, 106, 107, 108, 109],
+    290: [106, 107, 108, 109, 110],
+    300: [107, 108, 109, 110, 111],
+    310: [107, 108, 109, 110, 111, 112, 113],
+    320: [109, 110, 111, 112, 113],
+    330: [109, 110, 111, 112, 113, 114, 115],
+    340: [112, 113, 114, 115, 116],
+    350: [112, 113, 114, 115, 116, 117, 118, 119],
+    360: [115, 116, 117, 118, 119, 120],
+    370: [116, 117, 118, 119, 120, 121, 122, 123, 124],
+    380: [118, 119, 120, 121, 122, 123, 124, 125, 126],
+    390: [121, 122, 123, 124, 125, 126, 127, 128, 129],
+    400: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    410: [130, 131, 132, 133, 134, 135],
+    420: [131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    430: [137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    440: [148, 149, 150, 151],
+    450: [150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    460: [157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192, 193, 194],
+    490: [185, 186, 187, 188, 189, 190, 191, 192, 193, 194, 195, 196],
+    500: [195, 196]
+  },
+  70: {
+    0: [95, 96],
+    10: [95, 96, 97],
+    20: [96, 97],
+    30: [96, 97],
+    40: [96, 97],
+    50: [96, 97],
+    60: [96, 97],
+    70: [96, 97, 98],
+    80: [97, 98],
+    90: [96, 97, 98],
+    100: [96, 97, 98],
+    110: [97, 98],
+    120: [97, 98, 99],
+    130: [97, 98, 99],
+    140: [97, 98, 99],
+    150: [97, 98, 99, 100],
+    160: [98, 99, 100],
+    170: [98, 99, 100],
+    180: [98, 99, 100, 101],
+    190: [99, 100, 101],
+    200: [99, 100, 101, 102],
+    210: [100, 101],
+    220: [99, 100, 101, 102, 103],
+    230: [100, 101, 102, 103],
+    240: [100, 101, 102, 103],
+    250: [101, 102, 103, 104],
+    260: [101, 102, 103, 104],
+    270: [101, 102, 103, 104, 105, 106],
+    280: [103, 104, 105],
+    290: [103, 104, 105, 106, 107],
+    300: [105, 106, 107],
+    310: [104, 105, 106, 107, 108, 109, 110],
+    320: [106, 107, 108, 109],
+    330: [106, 107, 108, 109, 110, 111, 112],
+    340: [108, 109, 110, 111, 112],
+    350: [108, 109, 110, 111, 112, 113, 114, 115],
+    360: [111, 112, 113, 114, 115, 116],
+    370: [111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    380: [116, 117, 118, 119, 120],
+    390: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    400: [121, 122, 123, 124, 125, 126],
+    410: [121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    420: [126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    430: [133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    440: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    450: [145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    460: [157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    470: [172, 173, 174, 175, 176, 177],
+    480: [183, 184, 185, 186, 187, 188],
+    490: [190, 191, 192, 193, 194, 195, 196]
+  },
+  80: {
+    0: [94, 95],
+    10: [94, 95],
+    20: [94, 95],
+    30: [94, 95, 96],
+    40: [94, 95, 96],
+    50: [95, 96],
+    60: [95, 96],
+    70: [95, 96],
+    80: [95, 96],
+    90: [95, 96, 97],
+    100: [95, 96, 97],
+    110: [96, 97],
+    120: [95, 96, 97],
+    130: [95, 96, 97, 98],
+    140: [96, 97],
+    150: [96, 97, 98],
+    160: [96, 97, 98],
+    170: [96, 97, 98],
+    180: [96, 97, 98, 99],
+    190: [97, 98, 99],
+    200: [97, 98, 99, 100],
+    210: [97, 98, 99, 100],
+    220: [97, 98, 99, 100],
+    230: [98, 99, 100, 101],
+    240: [98, 99, 100, 101],
+    250: [98, 99, 100, 101, 102],
+    260: [99, 100, 101],
+    270: [99, 100, 101, 102, 103],
+    280: [100, 101, 102, 103],
+    290: [100, 101, 102, 103, 104, 105],
+    300: [101, 102, 103, 104, 105],
+    310: [101, 102, 103, 104, 105, 106],
+    320: [102, 103, 104, 105, 106, 107],
+    330: [102, 103, 104, 105, 106, 107, 108],
+    340: [103, 104, 105, 106, 107, 108, 109, 110],
+    350: [104, 105, 106, 107, 108, 109, 110, 111],
+    360: [105, 106, 107, 108, 109, 110, 111, 112, 113],
+    370: [107, 108, 109, 110, 111, 112, 113, 114, 115],
+    380: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    390: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    400: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    410: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    420: [121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    430: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    440: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146]
+  },
+  90: {
+    0: [93, 94],
+    10: [93, 94],
+    20: [93, 94],
+    30: [93, 94],
+    40: [93, 94, 95],
+    50: [93, 94, 95],
+    60: [93, 94, 95],
+    70: [93, 94, 95],
+    80: [93, 94, 95],
+    90: [94, 95],
+    100: [93, 94, 95],
+    110: [94, 95],
+    120: [94, 95, 96],
+    130: [94, 95, 96],
+    140: [94, 95, 96],
+    150: [94, 95, 96],
+    160: [94, 95, 96],
+    170: [94, 95, 96, 97],
+    180: [94, 95, 96, 97],
+    190: [95, 96, 97],
+    200: [95, 96, 97, 98],
+    210: [95, 96, 97, 98],
+    220: [95, 96, 97, 98],
+    230: [95, 96, 97, 98, 99],
+    240: [96, 97, 98],
+    250: [96, 97, 98, 99, 100],
+    260: [97, 98, 99],
+    270: [96, 97, 98, 99, 100],
+    280: [97, 98, 99, 100, 101],
+    290: [97, 98, 99, 100, 101],
+    300: [97, 98, 99, 100, 101, 102],
+    310: [98, 99, 100, 101, 102, 103],
+    320: [98, 99, 100, 101, 102, 103, 104],
+    330: [99, 100, 101, 102, 103, 104],
+    340: [99, 100, 101, 102, 103, 104, 105, 106],
+    350: [101, 102, 103, 104, 105, 106],
+    360: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    370: [104, 105, 106, 107, 108],
+    380: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    390: [107, 108, 109, 110, 111, 112],
+    400: [105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    410: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    420: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    430: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131]
+  },
+  100: {
+    0: [92, 93],
+    10: [92, 93],
+    20: [92, 93],
+    30: [92, 93],
+    40: [92, 93],
+    50: [92, 93],
+    60: [92, 93],
+    70: [92, 93, 94],
+    80: [92, 93, 94],
+    90: [92, 93, 94],
+    100: [92, 93, 94],
+    110: [92, 93, 94],
+    120: [92, 93, 94],
+    130: [92, 93, 94],
+    140: [93, 94],
+    150: [92, 93, 94, 95],
+    160: [92, 93, 94, 95],
+    170: [93, 94, 95],
+    180: [92, 93, 94, 95],
+    190: [93, 94, 95],
+    200: [93, 94, 95, 96],
+    210: [93, 94, 95, 96],
+    220: [93, 94, 95, 96],
+    230: [93, 94, 95, 96],
+    240: [94, 95, 96],
+    250: [93, 94, 95, 96, 97],
+    260: [94, 95, 96, 97],
+    270: [93, 94, 95, 96, 97, 98],
+    280: [94, 95, 96, 97, 98],
+    290: [94, 95, 96, 97, 98],
+    300: [94, 95, 96, 97, 98, 99],
+    310: [95, 96, 97, 98, 99],
+    320: [94, 95, 96, 97, 98, 99, 100],
+    330: [96, 97, 98, 99],
+    340: [95, 96, 97, 98, 99, 100, 101, 102],
+    350: [98, 99, 100, 101],
+    360: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    370: [98, 99, 100, 101, 102, 103],
+    380: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    390: [100, 101, 102, 103, 104, 105, 106, 107],
+    400: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    410: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    420: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119]
+  },
+  110: {
+    0: [91, 92],
+    10: [91, 92],
+    20: [91, 92],
+    30: [91, 92],
+    40: [91, 92],
+    50: [91, 92],
+    60: [91, 92],
+    70: [91, 92],
+    80: [91, 92],
+    90: [91, 92],
+    100: [91, 92],
+    110: [91, 92],
+    120: [91, 92],
+    130: [91, 92, 93],
+    140: [91, 92],
+    150: [91, 92, 93],
+    160: [91, 92, 93],
+    170: [91, 92, 93],
+    180: [91, 92, 93],
+    190: [91, 92, 93],
+    200: [91, 92, 93],
+    210: [91, 92, 93, 94],
+    220: [91, 92, 93],
+    230: [91, 92, 93, 94],
+    240: [92, 93],
+    250: [91, 92, 93, 94],
+    260: [91, 92, 93, 94],
+    270: [91, 92, 93, 94, 95],
+    280: [91, 92, 93, 94, 95],
+    290: [91, 92, 93, 94, 95],
+    300: [91, 92, 93, 94, 95, 96],
+    310: [92, 93, 94, 95],
+    320: [91, 92, 93, 94, 95, 96, 97],
+    330: [93, 94, 95],
+    340: [91, 92, 93, 94, 95, 96, 97, 98],
+    350: [92, 93, 94, 95, 96, 97],
+    360: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    370: [92, 93, 94, 95, 96, 97, 98, 99],
+    380: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    390: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    400: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    410: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    420: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109]
+  },
+  120: {
+    0: [90],
+    10: [89, 90, 91],
+    20: [89, 90, 91],
+    30: [90],
+    40: [89, 90, 91],
+    50: [89, 90, 91],
+    60: [90],
+    70: [89, 90, 91],
+    80: [89, 90, 91],
+    90: [89, 90, 91],
+    100: [89, 90, 91],
+    110: [89, 90, 91],
+    120: [89, 90, 91],
+    130: [89, 90, 91],
+    140: [89, 90, 91],
+    150: [89, 90, 91],
+    160: [89, 90, 91],
+    170: [89, 90, 91],
+    180: [89, 90, 91],
+    190: [89, 90, 91],
+    200: [89, 90, 91],
+    210: [88, 89, 90, 91, 92],
+    220: [89, 90, 91],
+    230: [88, 89, 90, 91, 92],
+    240: [89, 90, 91],
+    250: [88, 89, 90, 91, 92],
+    260: [88, 89, 90, 91, 92],
+    270: [88, 89, 90, 91, 92],
+    280: [88, 89, 90, 91, 92],
+    290: [88, 89, 90, 91, 92],
+    300: [87, 88, 89, 90, 91, 92, 93],
+    310: [89, 90, 91],
+    320: [87, 88, 89, 90, 91, 92, 93],
+    330: [88, 89, 90, 91, 92],
+    340: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    350: [87, 88, 89, 90, 91, 92, 93],
+    360: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    370: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    380: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    390: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    400: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    410: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    420: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98]
+  },
+  130: {
+    0: [88, 89],
+    10: [88, 89],
+    20: [88, 89],
+    30: [88, 89],
+    40: [88, 89],
+    50: [88, 89],
+    60: [88, 89],
+    70: [88, 89],
+    80: [88, 89],
+    90: [88, 89],
+    100: [88, 89],
+    110: [88, 89],
+    120: [88, 89],
+    130: [87, 88, 89],
+    140: [88, 89],
+    150: [87, 88, 89],
+    160: [87, 88, 89],
+    170: [87, 88, 89],
+    180: [87, 88, 89],
+    190: [87, 88, 89],
+    200: [87, 88, 89],
+    210: [86, 87, 88, 89],
+    220: [87, 88, 89],
+    230: [86, 87, 88, 89],
+    240: [87, 88],
+    250: [86, 87, 88, 89],
+    260: [86, 87, 88, 89],
+    270: [85, 86, 87, 88, 89],
+    280: [85, 86, 87, 88, 89],
+    290: [85, 86, 87, 88, 89],
+    300: [84, 85, 86, 87, 88, 89],
+    310: [85, 86, 87, 88],
+    320: [83, 84, 85, 86, 87, 88, 89],
+    330: [85, 86, 87],
+    340: [82, 83, 84, 85, 86, 87, 88, 89],
+    350: [83, 84, 85, 86, 87, 88],
+    360: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    370: [81, 82, 83, 84, 85, 86, 87, 88],
+    380: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    390: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    400: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    410: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    420: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88]
+  },
+  140: {
+    0: [87, 88],
+    10: [87, 88],
+    20: [87, 88],
+    30: [87, 88],
+    40: [87, 88],
+    50: [87, 88],
+    60: [87, 88],
+    70: [86, 87, 88],
+    80: [86, 87, 88],
+    90: [86, 87, 88],
+    100: [86, 87, 88],
+    110: [86, 87, 88],
+    120: [86, 87, 88],
+    130: [86, 87, 88],
+    140: [86, 87],
+    150: [85, 86, 87, 88],
+    160: [85, 86, 87, 88],
+    170: [85, 86, 87],
+    180: [85, 86, 87, 88],
+    190: [85, 86, 87],
+    200: [84, 85, 86, 87],
+    210: [84, 85, 86, 87],
+    220: [84, 85, 86, 87],
+    230: [84, 85, 86, 87],
+    240: [84, 85, 86],
+    250: [83, 84, 85, 86, 87],
+    260: [83, 84, 85, 86],
+    270: [82, 83, 84, 85, 86, 87],
+    280: [82, 83, 84, 85, 86],
+    290: [82, 83, 84, 85, 86],
+    300: [81, 82, 83, 84, 85, 86],
+    310: [81, 82, 83, 84, 85],
+    320: [80, 81, 82, 83, 84, 85, 86],
+    330: [81, 82, 83, 84],
+    340: [78, 79, 80, 81, 82, 83, 84, 85],
+    350: [79, 80, 81, 82],
+    360: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
+    370: [77, 78, 79, 80, 81, 82],
+    380: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
+    390: [73, 74, 75, 76, 77, 78, 79, 80],
+    400: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
+    410: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
+    420: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79]
+  },
+  150: {
+    0: [86, 87],
+    10: [86, 87],
+    20: [86, 87],
+    30: [86, 87],
+    40: [85, 86, 87],
+    50: [85, 86, 87],
+    60: [85, 86, 87],
+    70: [85, 86, 87],
+    80: [85, 86, 87],
+    90: [85, 86],
+    100: [85, 86, 87],
+    110: [85, 86],
+    120: [84, 85, 86],
+    130: [84, 85, 86],
+    140: [84, 85, 86],
+    150: [84, 85, 86],
+    160: [84, 85, 86],
+    170: [83, 84, 85, 86],
+    180: [83, 84, 85, 86],
+    190: [83, 84, 85],
+    200: [82, 83, 84, 85],
+    210: [82, 83, 84, 85],
+    220: [82, 83, 84, 85],
+    230: [81, 82, 83, 84, 85],
+    240: [82, 83, 84],
+    250: [80, 81, 82, 83, 84],
+    260: [81, 82, 83],
+    270: [80, 81, 82, 83, 84],
+    280: [79, 80, 81, 82, 83],
+    290: [79, 80, 81, 82, 83],
+    300: [78, 79, 80, 81, 82, 83],
+    310: [77, 78, 79, 80, 81, 82],
+    320: [76, 77, 78, 79, 80, 81, 82],
+    330: [76, 77, 78, 79, 80, 81],
+    340: [74, 75, 76, 77, 78, 79, 80, 81],
+    350: [74, 75, 76, 77, 78, 79],
+    360: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
+    370: [72, 73, 74, 75, 76],
+    380: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
+    390: [68, 69, 70, 71, 72, 73],
+    400: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75],
+    410: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    430: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64]
+  },
+  160: {
+    0: [85, 86],
+    10: [85, 86],
+    20: [85, 86],
+    30: [84, 85, 86],
+    40: [84, 85, 86],
+    50: [84, 85],
+    60: [84, 85],
+    70: [84, 85],
+    80: [84, 85],
+    90: [83, 84, 85],
+    100: [83, 84, 85],
+    110: [83, 84],
+    120: [83, 84, 85],
+    130: [82, 83, 84, 85],
+    140: [83, 84],
+    150: [82, 83, 84],
+    160: [82, 83, 84],
+    170: [82, 83, 84],
+    180: [81, 82, 83, 84],
+    190: [81, 82, 83],
+    200: [80, 81, 82, 83],
+    210: [80, 81, 82, 83],
+    220: [80, 81, 82, 83],
+    230: [79, 80, 81, 82],
+    240: [79, 80, 81, 82],
+    250: [78, 79, 80, 81, 82],
+    260: [79, 80, 81],
+    270: [77, 78, 79, 80, 81],
+    280: [77, 78, 79, 80],
+    290: [75, 76, 77, 78, 79, 80],
+    300: [75, 76, 77, 78, 79],
+    310: [74, 75, 76, 77, 78, 79],
+    320: [73, 74, 75, 76, 77, 78],
+    330: [72, 73, 74, 75, 76, 77, 78],
+    340: [70, 71, 72, 73, 74, 75, 76, 77],
+    350: [69, 70, 71, 72, 73, 74, 75, 76],
+    360: [67, 68, 69, 70, 71, 72, 73, 74, 75],
+    370: [65, 66, 67, 68, 69, 70, 71, 72, 73],
+    380: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
+    390: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    400: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    410: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    420: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    430: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    440: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48]
+  },
+  170: {
+    0: [84, 85],
+    10: [83, 84, 85],
+    20: [83, 84],
+    30: [83, 84],
+    40: [83, 84],
+    50: [83, 84],
+    60: [83, 84],
+    70: [82, 83, 84],
+    80: [82, 83],
+    90: [82, 83, 84],
+    100: [82, 83, 84],
+    110: [82, 83],
+    120: [81, 82, 83],
+    130: [81, 82, 83],
+    140: [81, 82, 83],
+    150: [80, 81, 82, 83],
+    160: [80, 81, 82],
+    170: [80, 81, 82],
+    180: [79, 80, 81, 82],
+    190: [79, 80, 81],
+    200: [78, 79, 80, 81],
+    210: [79, 80],
+    220: [77, 78, 79, 80, 81],
+    230: [77, 78, 79, 80],
+    240: [77, 78, 79, 80],
+    250: [76, 77, 78, 79],
+    260: [76, 77, 78, 79],
+    270: [74, 75, 76, 77, 78, 79],
+    280: [75, 76, 77],
+    290: [73, 74, 75, 76, 77],
+    300: [73, 74, 75],
+    310: [70, 71, 72, 73, 74, 75, 76],
+    320: [71, 72, 73, 74],
+    330: [68, 69, 70, 71, 72, 73, 74],
+    340: [68, 69, 70, 71, 72],
+    350: [65, 66, 67, 68, 69, 70, 71, 72],
+    360: [64, 65, 66, 67, 68, 69],
+    370: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
+    380: [60, 61, 62, 63, 64],
+    390: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    400: [54, 55, 56, 57, 58, 59],
+    410: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    420: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    430: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    440: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    450: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35],
+    460: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
+    470: [3, 4, 5, 6, 7, 8],
+    480: [352, 353, 354, 355, 356, 357],
+    490: [344, 345, 346, 347, 348, 349, 350]
+  },
+  180: {
+    0: [82, 83, 84],
+    10: [82, 83, 84],
+    20: [82, 83],
+    30: [82, 83],
+    40: [82, 83],
+    50: [82, 83],
+    60: [81, 82, 83],
+    70: [81, 82, 83],
+    80: [81, 82],
+    90: [80, 81, 82],
+    100: [80, 81, 82],
+    110: [80, 81, 82],
+    120: [80, 81, 82],
+    130: [80, 81],
+    140: [79, 80, 81],
+    150: [79, 80, 81],
+    160: [79, 80],
+    170: [78, 79, 80],
+    180: [78, 79, 80],
+    190: [77, 78, 79, 80],
+    200: [76, 77, 78, 79],
+    210: [76, 77, 78],
+    220: [75, 76, 77, 78, 79],
+    230: [76, 77],
+    240: [74, 75, 76, 77, 78],
+    250: [74, 75, 76, 77],
+    260: [73, 74, 75, 76],
+    270: [72, 73, 74, 75, 76],
+    280: [71, 72, 73, 74, 75],
+    290: [70, 71, 72, 73, 74],
+    300: [69, 70, 71, 72, 73],
+    310: [67, 68, 69, 70, 71, 72, 73],
+    320: [67, 68, 69, 70, 71],
+    330: [65, 66, 67, 68, 69, 70, 71],
+    340: [64, 65, 66, 67, 68],
+    350: [61, 62, 63, 64, 65, 66, 67, 68],
+    360: [60, 61, 62, 63, 64, 65],
+    370: [56, 57, 58, 59, 60, 61, 62, 63, 64],
+    380: [54, 55, 56, 57, 58, 59, 60, 61, 62],
+    390: [51, 52, 53, 54, 55, 56, 57, 58, 59],
+    400: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    410: [45, 46, 47, 48, 49, 50],
+    420: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    440: [29, 30, 31, 32],
+    450: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [344, 345, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355],
+    500: [344, 345]
+  },
+  190: {
+    0: [81, 82, 83],
+    10: [81, 82],
+    20: [81, 82],
+    30: [81, 82],
+    40: [80, 81, 82],
+    50: [80, 81],
+    60: [80, 81],
+    70: [80, 81],
+    80: [80, 81],
+    90: [79, 80, 81],
+    100: [79, 80],
+    110: [79, 80],
+    120: [78, 79, 80],
+    130: [78, 79],
+    140: [77, 78, 79, 80],
+    150: [77, 78, 79],
+    160: [77, 78, 79],
+    170: [76, 77, 78, 79],
+    180: [76, 77, 78],
+    190: [75, 76, 77, 78],
+    200: [75, 76, 77],
+    210: [74, 75, 76, 77],
+    220: [73, 74, 75, 76],
+    230: [73, 74, 75],
+    240: [72, 73, 74, 75],
+    250: [72, 73, 74],
+    260: [70, 71, 72, 73, 74],
+    270: [70, 71, 72, 73],
+    280: [68, 69, 70, 71, 72, 73],
+    290: [68, 69, 70, 71],
+    300: [66, 67, 68, 69, 70, 71],
+    310: [65, 66, 67, 68, 69],
+    320: [63, 64, 65, 66, 67, 68, 69],
+    330: [62, 63, 64, 65, 66, 67],
+    340: [60, 61, 62, 63, 64, 65, 66],
+    350: [58, 59, 60, 61, 62, 63],
+    360: [55, 56, 57, 58, 59, 60, 61, 62],
+    370: [54, 55, 56, 57, 58],
+    380: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    390: [48, 49, 50, 51, 52, 53],
+    400: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    410: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    420: [37, 38, 39],
+    430: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39],
+    440: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33],
+    450: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26],
+    460: [8, 9, 10, 11, 12, 13, 14, 15, 16],
+    470: [2, 3, 4, 5, 6, 7],
+    480: [354, 355, 356, 357, 358],
+    490: [348, 349, 350, 351, 352]
+  },
+  200: {
+    0: [80, 81],
+    10: [80, 81],
+    20: [80, 81],
+    30: [79, 80, 81],
+    40: [79, 80],
+    50: [79, 80],
+    60: [79, 80],
+    70: [79, 80],
+    80: [78, 79, 80],
+    90: [78, 79],
+    100: [78, 79],
+    110: [77, 78, 79],
+    120: [77, 78, 79],
+    130: [76, 77, 78],
+    140: [76, 77, 78],
+    150: [76, 77],
+    160: [75, 76, 77],
+    170: [74, 75, 76, 77],
+    180: [74, 75, 76],
+    190: [73, 74, 75, 76],
+    200: [73, 74, 75],
+    210: [72, 73, 74, 75],
+    220: [72, 73, 74],
+    230: [71, 72, 73, 74],
+    240: [70, 71, 72, 73],
+    250: [69, 70, 71, 72],
+    260: [68, 69, 70, 71, 72],
+    270: [68, 69, 70],
+    280: [66, 67, 68, 69, 70],
+    290: [66, 67, 68],
+    300: [63, 64, 65, 66, 67, 68],
+    310: [63, 64, 65, 66],
+    320: [60, 61, 62, 63, 64, 65, 66],
+    330: [60, 61, 62, 63],
+    340: [56, 57, 58, 59, 60, 61, 62, 63],
+    350: [55, 56, 57, 58, 59, 60],
+    360: [52, 53, 54, 55, 56, 57, 58, 59],
+    370: [50, 51, 52, 53, 54, 55, 56],
+    380: [47, 48, 49, 50, 51, 52, 53],
+    390: [43, 44, 45, 46, 47, 48, 49, 50, 51],
+    400: [41, 42, 43, 44, 45, 46],
+    410: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    420: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40],
+    430: [26, 27, 28, 29, 30, 31, 32, 33],
+    440: [20, 21, 22, 23, 24, 25, 26, 27],
+    450: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 357, 358, 359],
+    480: [0, 1, 2, 3, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [348, 349, 350, 351, 352, 353, 354, 355, 356],
+    500: [348, 349]
+  },
+  210: {
+    0: [79, 80],
+    10: [79, 80],
+    20: [78, 79, 80],
+    30: [78, 79, 80],
+    40: [78, 79],
+    50: [78, 79],
+    60: [77, 78, 79],
+    70: [77, 78],
+    80: [77, 78],
+    90: [76, 77, 78],
+    100: [76, 77],
+    110: [75, 76, 77],
+    120: [75, 76, 77],
+    130: [75, 76, 77],
+    140: [74, 75, 76],
+    150: [74, 75],
+    160: [73, 74, 75, 76],
+    170: [73, 74, 75],
+    180: [72, 73, 74, 75],
+    190: [71, 72, 73, 74],
+    200: [71, 72, 73],
+    210: [70, 71, 72, 73],
+    220: [70, 71, 72],
+    230: [68, 69, 70, 71, 72],
+    240: [68, 69, 70],
+    250: [67, 68, 69, 70],
+    260: [66, 67, 68, 69],
+    270: [65, 66, 67, 68],
+    280: [64, 65, 66, 67],
+    290: [62, 63, 64, 65, 66],
+    300: [61, 62, 63, 64, 65],
+    310: [59, 60, 61, 62, 63, 64],
+    320: [58, 59, 60, 61, 62],
+    330: [56, 57, 58, 59, 60, 61],
+    340: [54, 55, 56, 57, 58, 59],
+    350: [51, 52, 53, 54, 55, 56, 57, 58],
+    360: [51, 52, 53],
+    370: [46, 47, 48, 49, 50, 51, 52, 53],
+    380: [44, 45, 46, 47, 48, 49, 50],
+    390: [40, 41, 42, 43, 44, 45, 46, 47],
+    400: [36, 37, 38, 39, 40, 41, 42, 43, 44],
+    410: [33, 34, 35, 36, 37, 38, 39],
+    420: [28, 29, 30, 31, 32, 33, 34, 35],
+    430: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
+    440: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27],
+    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20],
+    460: [6, 7, 8, 9, 10, 11, 12, 13],
+    470: [1, 2, 3, 4, 5, 6],
+    480: [355, 356, 357, 358, 359],
+    490: [351, 352, 353, 354]
+  },
+  220: {
+    0: [78, 79],
+    10: [78, 79],
+    20: [77, 78, 79],
+    30: [77, 78],
+    40: [77, 78],
+    50: [76, 77, 78],
+    60: [76, 77],
+    70: [76, 77],
+    80: [75, 76, 77],
+    90: [75, 76],
+    100: [75, 76],
+    110: [74, 75, 76],
+    120: [74, 75],
+    130: [73, 74, 75],
+    140: [73, 74, 75],
+    150: [72, 73, 74],
+    160: [72, 73, 74],
+    170: [72, 73],
+    180: [70, 71, 72, 73],
+    190: [70, 71, 72],
+    200: [69, 70, 71, 72],
+    210: [68, 69, 70, 71],
+    220: [68, 69, 70],
+    230: [67, 68, 69, 70],
+    240: [66, 67, 68],
+    250: [65, 66, 67, 68],
+    260: [64, 65, 66],
+    270: [62, 63, 64, 65, 66],
+    280: [62, 63, 64],
+    290: [60, 61, 62, 63, 64],
+    300: [59, 60, 61, 62],
+    310: [57, 58, 59, 60, 61],
+    320: [56, 57, 58, 59],
+    330: [53, 54, 55, 56, 57, 58],
+    340: [51, 52, 53, 54, 55, 56],
+    350: [49, 50, 51, 52, 53, 54],
+    360: [46, 47, 48, 49, 50, 51, 52],
+    370: [45, 46, 47, 48],
+    380: [40, 41, 42, 43, 44, 45, 46, 47],
+    390: [37, 38, 39, 40, 41, 42, 43, 44],
+    400: [34, 35, 36, 37, 38, 39, 40],
+    410: [29, 30, 31, 32, 33, 34, 35, 36, 37],
+    420: [25, 26, 27, 28, 29, 30, 31, 32, 33],
+    430: [22, 23, 24, 25, 26, 27],
+    440: [16, 17, 18, 19, 20, 21, 22, 23],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 358, 359],
+    480: [0, 1, 2, 3, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [351, 352, 353, 354, 355, 356, 357],
+    500: [351]
+  },
+  230: {
+    0: [77, 78],
+    10: [76, 77, 78],
+    20: [76, 77],
+    30: [76, 77],
+    40: [76, 77],
+    50: [75, 76, 77],
+    60: [75, 76],
+    70: [74, 75, 76],
+    80: [74, 75, 76],
+    90: [74, 75],
+    100: [73, 74, 75],
+    110: [73, 74],
+    120: [72, 73, 74],
+    130: [72, 73, 74],
+    140: [72, 73],
+    150: [71, 72, 73],
+    160: [70, 71, 72],
+    170: [69, 70, 71, 72],
+    180: [69, 70, 71],
+    190: [68, 69, 70],
+    200: [67, 68, 69, 70],
+    210: [67, 68],
+    220: [65, 66, 67, 68, 69],
+    230: [65, 66, 67],
+    240: [64, 65, 66, 67],
+    250: [63, 64, 65, 66],
+    260: [62, 63, 64, 65],
+    270: [61, 62, 63, 64],
+    280: [59, 60, 61, 62, 63],
+    290: [58, 59, 60, 61],
+    300: [56, 57, 58, 59, 60],
+    310: [55, 56, 57, 58],
+    320: [52, 53, 54, 55, 56, 57],
+    330: [52, 53, 54],
+    340: [48, 49, 50, 51, 52, 53, 54],
+    350: [47, 48, 49, 50, 51],
+    360: [44, 45, 46, 47, 48, 49],
+    370: [41, 42, 43, 44, 45, 46, 47],
+    380: [40, 41, 42],
+    390: [34, 35, 36, 37, 38, 39, 40, 41],
+    400: [31, 32, 33, 34, 35, 36, 37, 38],
+    410: [29, 30, 31, 32],
+    420: [23, 24, 25, 26, 27, 28, 29, 30],
+    430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 17],
+    460: [5, 6, 7, 8, 9, 10, 11],
+    470: [0, 1, 2, 3, 4, 5],
+    480: [0, 355, 356, 357, 358, 359],
+    490: [352, 353, 354, 355, 356]
+  },
+  240: {
+    0: [76, 77],
+    10: [75, 76, 77],
+    20: [75, 76],
+    30: [75, 76],
+    40: [74, 75, 76],
+    50: [74, 75],
+    60: [74, 75],
+    70: [73, 74, 75],
+    80: [73, 74],
+    90: [72, 73, 74],
+    100: [72, 73, 74],
+    110: [72, 73],
+    120: [71, 72, 73],
+    130: [70, 71, 72],
+    140: [70, 71, 72],
+    150: [69, 70, 71],
+    160: [69, 70],
+    170: [68, 69, 70],
+    180: [67, 68, 69],
+    190: [66, 67, 68, 69],
+    200: [66, 67, 68],
+    210: [65, 66, 67],
+    220: [64, 65, 66, 67],
+    230: [63, 64, 65],
+    240: [62, 63, 64, 65],
+    250: [61, 62, 63],
+    260: [59, 60, 61, 62, 63],
+    270: [59, 60, 61],
+    280: [57, 58, 59, 60, 61],
+    290: [56, 57, 58, 59],
+    300: [54, 55, 56, 57, 58],
+    310: [53, 54, 55, 56],
+    320: [50, 51, 52, 53, 54, 55],
+    330: [48, 49, 50, 51, 52, 53],
+    340: [47, 48, 49, 50],
+    350: [44, 45, 46, 47, 48, 49],
+    360: [42, 43, 44, 45, 46],
+    370: [39, 40, 41, 42, 43, 44],
+    380: [36, 37, 38, 39, 40, 41, 42],
+    390: [34, 35, 36, 37],
+    400: [29, 30, 31, 32, 33, 34, 35],
+    410: [25, 26, 27, 28, 29, 30, 31, 32],
+    420: [22, 23, 24, 25, 26, 27, 28],
+    430: [19, 20, 21, 22, 23],
+    440: [14, 15, 16, 17, 18, 19],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 358, 359],
+    480: [0, 1, 2, 354, 355, 356, 357, 358, 359],
+    490: [352, 353, 354, 355, 356, 357],
+    500: [352]
+  },
+  250: {
+    0: [75, 76],
+    10: [74, 75],
+    20: [74, 75],
+    30: [74, 75],
+    40: [73, 74, 75],
+    50: [73, 74],
+    60: [72, 73, 74],
+    70: [72, 73],
+    80: [72, 73],
+    90: [71, 72, 73],
+    100: [71, 72],
+    110: [70, 71, 72],
+    120: [69, 70, 71],
+    130: [69, 70],
+    140: [68, 69, 70],
+    150: [68, 69],
+    160: [67, 68, 69],
+    170: [66, 67, 68],
+    180: [66, 67, 68],
+    190: [65, 66, 67],
+    200: [65, 66],
+    210: [63, 64, 65, 66],
+    220: [63, 64],
+    230: [61, 62, 63, 64],
+    240: [60, 61, 62, 63],
+    250: [59, 60, 61, 62],
+    260: [58, 59, 60],
+    270: [56, 57, 58, 59, 60],
+    280: [55, 56, 57, 58],
+    290: [53, 54, 55, 56, 57],
+    300: [53, 54, 55],
+    310: [50, 51, 52, 53, 54],
+    320: [49, 50, 51, 52],
+    330: [46, 47, 48, 49, 50, 51],
+    340: [44, 45, 46, 47, 48, 49],
+    350: [42, 43, 44, 45, 46],
+    360: [39, 40, 41, 42, 43, 44, 45],
+    370: [37, 38, 39, 40, 41],
+    380: [34, 35, 36, 37, 38, 39],
+    390: [30, 31, 32, 33, 34, 35, 36, 37],
+    400: [28, 29, 30, 31, 32, 33],
+    410: [25, 26, 27, 28],
+    420: [20, 21, 22, 23, 24, 25, 26],
+    430: [16, 17, 18, 19, 20, 21, 22, 23],
+    440: [12, 13, 14, 15, 16, 17, 18, 19],
+    450: [8, 9, 10, 11, 12, 13, 14],
+    460: [4, 5, 6, 7, 8, 9, 10],
+    470: [0, 1, 2, 3, 4, 5],
+    480: [0, 1, 356, 357, 358, 359],
+    490: [354, 355, 356, 357]
+  },
+  260: {
+    0: [73, 74, 75],
+    10: [73, 74],
+    20: [73, 74],
+    30: [72, 73, 74],
+    40: [72, 73],
+    50: [72, 73],
+    60: [71, 72, 73],
+    70: [71, 72],
+    80: [70, 71, 72],
+    90: [70, 71],
+    100: [70, 71],
+    110: [69, 70],
+    120: [68, 69, 70],
+    130: [68, 69],
+    140: [67, 68, 69],
+    150: [67, 68],
+    160: [65, 66, 67, 68],
+    170: [65, 66],
+    180: [64, 65, 66],
+    190: [63, 64, 65],
+    200: [62, 63, 64, 65],
+    210: [61, 62, 63, 64],
+    220: [60, 61, 62, 63],
+    230: [59, 60, 61, 62],
+    240: [58, 59, 60, 61],
+    250: [57, 58, 59, 60],
+    260: [56, 57, 58, 59],
+    270: [54, 55, 56, 57, 58],
+    280: [53, 54, 55, 56],
+    290: [52, 53, 54, 55],
+    300: [50, 51, 52, 53, 54],
+    310: [49, 50, 51, 52],
+    320: [46, 47, 48, 49, 50],
+    330: [45, 46, 47],
+    340: [42, 43, 44, 45, 46, 47],
+    350: [40, 41, 42, 43, 44],
+    360: [38, 39, 40, 41],
+    370: [34, 35, 36, 37, 38, 39, 40],
+    380: [32, 33, 34, 35, 36, 37],
+    390: [30, 31, 32, 33],
+    400: [26, 27, 28, 29, 30, 31],
+    410: [22, 23, 24, 25, 26, 27, 28],
+    420: [19, 20, 21, 22, 23, 24, 25],
+    430: [17, 18, 19, 20],
+    440: [12, 13, 14, 15, 16, 17],
+    450: [7, 8, 9, 10, 11, 12, 13],
+    460: [3, 4, 5, 6, 7, 8, 9, 10],
+    470: [0, 1, 2, 3, 4, 5, 6, 359],
+    480: [0, 1, 2, 355, 356, 357, 358, 359],
+    490: [354, 355, 356, 357, 358]
+  },
+  270: {
+    0: [72, 73, 74],
+    10: [72, 73],
+    20: [72, 73],
+    30: [71, 72, 73],
+    40: [71, 72],
+    50: [70, 71, 72],
+    60: [70, 71],
+    70: [70, 71],
+    80: [69, 70, 71],
+    90: [69, 70],
+    100: [68, 69, 70],
+    110: [67, 68, 69],
+    120: [67, 68],
+    130: [66, 67, 68],
+    140: [66, 67],
+    150: [65, 66, 67],
+    160: [64, 65, 66],
+    170: [63, 64, 65],
+    180: [62, 63, 64, 65],
+    190: [62, 63, 64],
+    200: [61, 62, 63],
+    210: [60, 61, 62],
+    220: [59, 60, 61],
+    230: [58, 59, 60],
+    240: [56, 57, 58, 59],
+    250: [56, 57],
+    260: [54, 55, 56, 57],
+    270: [53, 54, 55],
+    280: [51, 52, 53, 54, 55],
+    290: [50, 51, 52, 53],
+    300: [48, 49, 50, 51, 52],
+    310: [46, 47, 48, 49, 50],
+    320: [45, 46, 47, 48],
+    330: [42, 43, 44, 45, 46, 47],
+    340: [41, 42, 43, 44],
+    350: [38, 39, 40, 41, 42],
+    360: [36, 37, 38, 39, 40],
+    370: [35, 36],
+    380: [30, 31, 32, 33, 34, 35],
+    390: [27, 28, 29, 30, 31, 32, 33],
+    400: [25, 26, 27, 28, 29],
+    410: [22, 23, 24, 25],
+    420: [18, 19, 20, 21, 22, 23],
+    430: [14, 15, 16, 17, 18, 19, 20],
+    440: [10, 11, 12, 13, 14, 15, 16, 17],
+    450: [7, 8, 9, 10, 11, 12, 13],
+    460: [3, 4, 5, 6, 7, 8, 9],
+    470: [0, 1, 2, 3, 4, 5],
+    480: [0, 1, 356, 357, 358, 359],
+    490: [355, 356, 357]
+  },
+  280: {
+    0: [72],
+    10: [71, 72],
+    20: [71, 72],
+    30: [70, 71],
+    40: [70, 71],
+    50: [69, 70, 71],
+    60: [69, 70],
+    70: [68, 69, 70],
+    80: [68, 69],
+    90: [67, 68, 69],
+    100: [67, 68],
+    110: [66, 67],
+    120: [65, 66, 67],
+    130: [65, 66, 67],
+    140: [64, 65, 66],
+    150: [63, 64, 65],
+    160: [63, 64],
+    170: [62, 63, 64],
+    180: [61, 62, 63],
+    190: [60, 61, 62],
+    200: [59, 60, 61],
+    210: [58, 59, 60, 61],
+    220: [57, 58, 59],
+    230: [56, 57, 58, 59],
+    240: [55, 56, 57],
+    250: [54, 55, 56, 57],
+    260: [53, 54, 55],
+    270: [51, 52, 53, 54],
+    280: [50, 51, 52],
+    290: [48, 49, 50, 51],
+    300: [47, 48, 49],
+    310: [44, 45, 46, 47, 48],
+    320: [43, 44, 45, 46],
+    330: [41, 42, 43, 44],
+    340: [38, 39, 40, 41, 42, 43],
+    350: [37, 38, 39, 40],
+    360: [34, 35, 36, 37, 38],
+    370: [31, 32, 33, 34, 35, 36],
+    380: [29, 30, 31, 32, 33],
+    390: [27, 28, 29, 30],
+    400: [23, 24, 25, 26, 27, 28],
+    410: [20, 21, 22, 23, 24, 25],
+    420: [17, 18, 19, 20, 21, 22],
+    430: [15, 16, 17, 18],
+    440: [11, 12, 13, 14],
+    450: [7, 8, 9, 10, 11, 12],
+    460: [3, 4, 5, 6, 7, 8],
+    470: [0, 1, 2, 3, 4, 5, 359],
+    480: [0, 1, 356, 357, 358, 359],
+    490: [355, 356, 357, 358]
+  },
+  290: {
+    0: [70, 71],
+    10: [70, 71],
+    20: [70, 71],
+    30: [69, 70],
+    40: [69, 70],
+    50: [68, 69],
+    60: [68, 69],
+    70: [67, 68, 69],
+    80: [67, 68],
+    90: [66, 67, 68],
+    100: [65, 66, 67],
+    110: [65, 66],
+    120: [64, 65, 66],
+    130: [64, 65],
+    140: [63, 64, 65],
+    150: [62, 63, 64],
+    160: [61, 62, 63],
+    170: [60, 61, 62],
+    180: [60, 61, 62],
+    190: [59, 60, 61],
+    200: [58, 59, 60],
+    210: [57, 58, 59],
+    220: [56, 57, 58],
+    230: [54, 55, 56, 57],
+    240: [54, 55, 56],
+    250: [52, 53, 54, 55],
+    260: [51, 52, 53],
+    270: [49, 50, 51, 52],
+    280: [48, 49, 50, 51],
+    290: [47, 48, 49],
+    300: [45, 46, 47, 48],
+    310: [44, 45],
+    320: [41, 42, 43, 44, 45],
+    330: [39, 40, 41, 42, 43],
+    340: [38, 39, 40],
+    350: [35, 36, 37, 38, 39],
+    360: [33, 34, 35, 36],
+    370: [31, 32, 33],
+    380: [27, 28, 29, 30, 31, 32],
+    390: [25, 26, 27, 28, 29],
+    400: [22, 23, 24, 25, 26],
+    410: [20, 21, 22, 23],
+    420: [16, 17, 18, 19, 20, 21],
+    430: [13, 14, 15, 16, 17, 18],
+    440: [9, 10, 11, 12, 13, 14, 15],
+    450: [6, 7, 8, 9, 10, 11],
+    460: [3, 4, 5, 6, 7, 8],
+    470: [0, 1, 2, 3, 4, 5],
+    480: [0, 1, 356, 357, 358, 359],
+    490: [355, 356, 357, 358],
+    500: [355]
+  },
+  300: {
+    0: [69, 70, 71],
+    10: [69, 70],
+    20: [69, 70],
+    30: [68, 69],
+    40: [68, 69],
+    50: [67, 68],
+    60: [66, 67, 68],
+    70: [66, 67],
+    80: [65, 66, 67],
+    90: [65, 66],
+    100: [65],
+    110: [63, 64, 65],
+    120: [63, 64],
+    130: [62, 63, 64],
+    140: [61, 62, 63],
+    150: [61, 62],
+    160: [60, 61, 62],
+    170: [59, 60, 61],
+    180: [58, 59, 60],
+    190: [58, 59],
+    200: [56, 57, 58, 59],
+    210: [56, 57],
+    220: [54, 55, 56, 57],
+    230: [54, 55],
+    240: [52, 53, 54, 55],
+    250: [51, 52, 53],
+    260: [49, 50, 51, 52],
+    270: [48, 49, 50],
+    280: [46, 47, 48, 49],
+    290: [45, 46, 47, 48],
+    300: [43, 44, 45, 46],
+    310: [41, 42, 43, 44, 45],
+    320: [40, 41, 42],
+    330: [38, 39, 40, 41],
+    340: [35, 36, 37, 38, 39],
+    350: [35, 36],
+    360: [31, 32, 33, 34, 35],
+    370: [29, 30, 31, 32, 33],
+    380: [27, 28, 29, 30],
+    390: [24, 25, 26, 27],
+    400: [21, 22, 23, 24, 25],
+    410: [18, 19, 20, 21, 22, 23],
+    420: [15, 16, 17, 18, 19, 20],
+    430: [13, 14, 15, 16],
+    440: [11, 12],
+    450: [7, 8, 9, 10],
+    460: [3, 4, 5, 6, 7],
+    470: [0, 1, 2, 3, 4],
+    480: [0, 1, 357, 358, 359],
+    490: [355, 356, 357, 358]
+  },
+  310: {
+    0: [68, 69],
+    10: [68, 69],
+    20: [67, 68, 69],
+    30: [67, 68],
+    40: [67],
+    50: [66, 67],
+    60: [65, 66, 67],
+    70: [65, 66],
+    80: [64, 65, 66],
+    90: [64, 65],
+    100: [63, 64, 65],
+    110: [62, 63, 64],
+    120: [62, 63],
+    130: [61, 62, 63],
+    140: [61, 62],
+    150: [59, 60, 61],
+    160: [59, 60],
+    170: [58, 59, 60],
+    180: [57, 58, 59],
+    190: [56, 57, 58],
+    200: [55, 56, 57],
+    210: [54, 55, 56],
+    220: [53, 54, 55],
+    230: [52, 53, 54],
+    240: [51, 52, 53],
+    250: [49, 50, 51, 52],
+    260: [48, 49, 50],
+    270: [46, 47, 48, 49],
+    280: [45, 46, 47],
+    290: [43, 44, 45, 46],
+    300: [42, 43, 44, 45],
+    310: [40, 41, 42, 43],
+    320: [38, 39, 40, 41, 42],
+    330: [37, 38, 39],
+    340: [34, 35, 36, 37, 38],
+    350: [32, 33, 34, 35, 36],
+    360: [30, 31, 32, 33],
+    370: [28, 29, 30, 31],
+    380: [25, 26, 27, 28, 29],
+    390: [22, 23, 24, 25, 26, 27],
+    400: [20, 21, 22, 23, 24],
+    410: [18, 19, 20],
+    420: [15, 16, 17, 18, 19],
+    430: [11, 12, 13, 14, 15, 16],
+    440: [8, 9, 10, 11, 12, 13],
+    450: [6, 7, 8, 9, 10],
+    460: [3, 4, 5, 6, 7],
+    470: [0, 1, 2, 3, 4],
+    480: [0, 1, 357, 358, 359],
+    490: [356, 357, 358]
+  },
+  320: {
+    0: [68],
+    10: [67, 68],
+    20: [66, 67, 68],
+    30: [66, 67],
+    40: [65, 66, 67],
+    50: [65, 66],
+    60: [65],
+    70: [64, 65],
+    80: [63, 64],
+    90: [63, 64],
+    100: [62, 63],
+    110: [62],
+    120: [60, 61, 62],
+    130: [60, 61],
+    140: [59, 60, 61],
+    150: [58, 59, 60],
+    160: [57, 58, 59],
+    170: [56, 57, 58],
+    180: [56, 57],
+    190: [55, 56, 57],
+    200: [54, 55, 56],
+    210: [52, 53, 54, 55],
+    220: [52, 53, 54],
+    230: [50, 51, 52, 53],
+    240: [49, 50, 51],
+    250: [48, 49, 50],
+    260: [46, 47, 48, 49],
+    270: [45, 46, 47],
+    280: [43, 44, 45, 46],
+    290: [42, 43, 44],
+    300: [40, 41, 42, 43],
+    310: [39, 40, 41, 42],
+    320: [37, 38, 39],
+    330: [35, 36, 37, 38],
+    340: [33, 34, 35, 36],
+    350: [31, 32, 33, 34],
+    360: [29, 30, 31, 32],
+    370: [26, 27, 28, 29, 30],
+    380: [25, 26, 27],
+    390: [22, 23, 24, 25],
+    400: [19, 20, 21, 22, 23],
+    410: [16, 17, 18, 19, 20, 21],
+    420: [14, 15, 16, 17, 18],
+    430: [12, 13, 14, 15],
+    440: [9, 10, 11, 12],
+    450: [7, 8],
+    460: [3, 4, 5, 6],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 357, 358, 359],
+    490: [356, 357, 358]
+  },
+  330: {
+    0: [66, 67],
+    10: [66, 67],
+    20: [66],
+    30: [65, 66],
+    40: [64, 65, 66],
+    50: [64, 65],
+    60: [63, 64, 65],
+    70: [63, 64],
+    80: [62, 63],
+    90: [61, 62, 63],
+    100: [61, 62],
+    110: [60, 61, 62],
+    120: [59, 60, 61],
+    130: [59, 60],
+    140: [58, 59],
+    150: [57, 58, 59],
+    160: [56, 57, 58],
+    170: [56, 57],
+    180: [54, 55, 56],
+    190: [54, 55],
+    200: [52, 53, 54],
+    210: [52, 53],
+    220: [50, 51, 52],
+    230: [49, 50, 51],
+    240: [48, 49, 50],
+    250: [47, 48, 49],
+    260: [45, 46, 47, 48],
+    270: [44, 45, 46],
+    280: [43, 44],
+    290: [40, 41, 42, 43, 44],
+    300: [39, 40, 41, 42],
+    310: [37, 38, 39, 40],
+    320: [35, 36, 37, 38, 39],
+    330: [34, 35, 36],
+    340: [32, 33, 34, 35],
+    350: [30, 31, 32, 33],
+    360: [28, 29, 30, 31],
+    370: [26, 27, 28],
+    380: [23, 24, 25, 26, 27],
+    390: [21, 22, 23, 24, 25],
+    400: [19, 20, 21, 22],
+    410: [17, 18, 19],
+    420: [14, 15, 16, 17],
+    430: [11, 12, 13, 14, 15],
+    440: [8, 9, 10, 11, 12],
+    450: [5, 6, 7, 8, 9, 10],
+    460: [2, 3, 4, 5, 6, 7],
+    470: [0, 1, 2, 3, 4],
+    480: [0, 1, 357, 358, 359],
+    490: [356, 357, 358, 359],
+    500: [356]
+  },
+  340: {
+    0: [65, 66, 67],
+    10: [65, 66],
+    20: [65, 66],
+    30: [64, 65],
+    40: [64],
+    50: [63, 64],
+    60: [62, 63, 64],
+    70: [62, 63],
+    80: [61, 62],
+    90: [60, 61, 62],
+    100: [60, 61],
+    110: [59, 60],
+    120: [58, 59, 60],
+    130: [57, 58, 59],
+    140: [57, 58],
+    150: [56, 57, 58],
+    160: [55, 56],
+    170: [54, 55, 56],
+    180: [53, 54, 55],
+    190: [52, 53, 54],
+    200: [51, 52, 53],
+    210: [50, 51, 52],
+    220: [49, 50, 51],
+    230: [48, 49, 50],
+    240: [47, 48],
+    250: [45, 46, 47, 48],
+    260: [44, 45, 46],
+    270: [42, 43, 44, 45],
+    280: [41, 42, 43, 44],
+    290: [40, 41],
+    300: [38, 39, 40, 41],
+    310: [36, 37, 38, 39],
+    320: [35, 36, 37],
+    330: [32, 33, 34, 35, 36],
+    340: [31, 32, 33, 34],
+    350: [29, 30, 31],
+    360: [26, 27, 28, 29, 30],
+    370: [24, 25, 26, 27, 28],
+    380: [23, 24, 25],
+    390: [21, 22, 23],
+    400: [18, 19, 20, 21],
+    410: [15, 16, 17, 18, 19],
+    420: [13, 14, 15, 16, 17],
+    430: [10, 11, 12, 13, 14],
+    440: [8, 9, 10, 11],
+    450: [6, 7, 8],
+    460: [4, 5],
+    470: [1, 2, 3],
+    480: [0, 358, 359],
+    490: [356, 357]
+  },
+  350: {
+    0: [65],
+    10: [64, 65],
+    20: [63, 64, 65],
+    30: [63, 64],
+    40: [62, 63, 64],
+    50: [62, 63],
+    60: [61, 62],
+    70: [61, 62],
+    80: [60, 61],
+    90: [59, 60, 61],
+    100: [59, 60],
+    110: [58, 59],
+    120: [57, 58, 59],
+    130: [57, 58],
+    140: [55, 56, 57],
+    150: [55, 56],
+    160: [54, 55, 56],
+    170: [53, 54, 55],
+    180: [52, 53, 54],
+    190: [51, 52, 53],
+    200: [50, 51, 52],
+    210: [49, 50, 51],
+    220: [48, 49, 50],
+    230: [47, 48],
+    240: [45, 46, 47, 48],
+    250: [45, 46],
+    260: [42, 43, 44, 45],
+    270: [41, 42, 43],
+    280: [40, 41, 42],
+    290: [38, 39, 40, 41],
+    300: [37, 38, 39],
+    310: [35, 36, 37, 38],
+    320: [33, 34, 35, 36],
+    330: [32, 33, 34],
+    340: [30, 31, 32, 33],
+    350: [28, 29, 30, 31],
+    360: [26, 27, 28],
+    370: [24, 25, 26],
+    380: [21, 22, 23, 24, 25],
+    390: [19, 20, 21, 22, 23],
+    400: [17, 18, 19, 20],
+    410: [15, 16, 17, 18],
+    420: [13, 14, 15],
+    430: [10, 11, 12, 13],
+    440: [7, 8, 9, 10, 11],
+    450: [5, 6, 7, 8, 9],
+    460: [2, 3, 4, 5, 6],
+    470: [0, 1, 2, 3, 4],
+    480: [0, 1, 357, 358, 359],
+    490: [357, 358, 359]
+  },
+  360: {
+    0: [64, 65],
+    10: [63, 64],
+    20: [63, 64],
+    30: [62, 63],
+    40: [61, 62, 63],
+    50: [61, 62],
+    60: [60, 61],
+    70: [60, 61],
+    80: [59, 60],
+    90: [58, 59, 60],
+    100: [58, 59],
+    110: [57, 58],
+    120: [56, 57],
+    130: [55, 56, 57],
+    140: [54, 55, 56],
+    150: [54, 55],
+    160: [53, 54],
+    170: [52, 53],
+    180: [51, 52, 53],
+    190: [50, 51, 52],
+    200: [49, 50, 51],
+    210: [48, 49, 50],
+    220: [47, 48],
+    230: [45, 46, 47],
+    240: [44, 45, 46],
+    250: [43, 44, 45],
+    260: [42, 43],
+    270: [40, 41, 42, 43],
+    280: [39, 40, 41],
+    290: [37, 38, 39],
+    300: [35, 36, 37, 38],
+    310: [34, 35, 36],
+    320: [32, 33, 34, 35],
+    330: [30, 31, 32, 33],
+    340: [29, 30, 31],
+    350: [27, 28, 29],
+    360: [25, 26, 27, 28],
+    370: [23, 24, 25, 26],
+    380: [21, 22, 23, 24],
+    390: [19, 20, 21],
+    400: [17, 18, 19],
+    410: [14, 15, 16, 17, 18],
+    420: [12, 13, 14, 15],
+    430: [10, 11, 12, 13],
+    440: [7, 8, 9, 10, 11],
+    450: [5, 6, 7, 8],
+    460: [3, 4, 5, 6],
+    470: [1, 2, 3],
+    480: [0, 1, 358, 359],
+    490: [357, 358]
+  },
+  370: {
+    0: [63, 64],
+    10: [62, 63],
+    20: [62, 63],
+    30: [61, 62],
+    40: [61],
+    50: [60, 61],
+    60: [59, 60],
+    70: [59, 60],
+    80: [58, 59],
+    90: [57, 58],
+    100: [57, 58],
+    110: [56, 57],
+    120: [55, 56],
+    130: [54, 55, 56],
+    140: [54, 55],
+    150: [52, 53, 54],
+    160: [52, 53],
+    170: [51, 52],
+    180: [50, 51],
+    190: [49, 50, 51],
+    200: [48, 49],
+    210: [46, 47, 48],
+    220: [46, 47],
+    230: [44, 45, 46],
+    240: [43, 44, 45],
+    250: [42, 43, 44],
+    260: [40, 41, 42, 43],
+    270: [39, 40, 41],
+    280: [38, 39, 40],
+    290: [36, 37, 38, 39],
+    300: [35, 36],
+    310: [33, 34, 35, 36],
+    320: [31, 32, 33, 34],
+    330: [30, 31],
+    340: [28, 29, 30],
+    350: [26, 27, 28, 29],
+    360: [24, 25, 26, 27],
+    370: [23, 24],
+    380: [20, 21, 22, 23],
+    390: [18, 19, 20, 21],
+    400: [16, 17, 18, 19],
+    410: [14, 15, 16, 17],
+    420: [12, 13, 14],
+    430: [10, 11, 12],
+    440: [7, 8, 9, 10],
+    450: [5, 6, 7, 8],
+    460: [2, 3, 4, 5, 6],
+    470: [0, 1, 2, 3, 4],
+    480: [0, 1, 358, 359],
+    490: [357, 358, 359],
+    500: [357]
+  },
+  380: {
+    0: [62, 63],
+    10: [61, 62],
+    20: [61, 62],
+    30: [60, 61],
+    40: [60, 61],
+    50: [59, 60],
+    60: [59],
+    70: [58, 59],
+    80: [57, 58],
+    90: [56, 57, 58],
+    100: [56, 57],
+    110: [55, 56],
+    120: [54, 55],
+    130: [54],
+    140: [52, 53, 54],
+    150: [52, 53],
+    160: [50, 51, 52],
+    170: [50, 51],
+    180: [49, 50],
+    190: [48, 49],
+    200: [46, 47, 48],
+    210: [46, 47],
+    220: [44, 45, 46],
+    230: [43, 44, 45],
+    240: [42, 43, 44],
+    250: [41, 42, 43],
+    260: [40, 41],
+    270: [38, 39, 40],
+    280: [37, 38, 39],
+    290: [35, 36, 37],
+    300: [33, 34, 35, 36],
+    310: [32, 33, 34],
+    320: [30, 31, 32, 33],
+    330: [29, 30, 31],
+    340: [27, 28, 29],
+    350: [26, 27],
+    360: [23, 24, 25, 26],
+    370: [21, 22, 23, 24],
+    380: [20, 21, 22],
+    390: [18, 19, 20],
+    400: [16, 17, 18],
+    410: [13, 14, 15, 16],
+    420: [11, 12, 13, 14],
+    430: [9, 10, 11, 12],
+    440: [7, 8, 9, 10],
+    450: [5, 6, 7, 8],
+    460: [3, 4, 5, 6],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 358, 359],
+    490: [358, 359]
+  },
+  390: {
+    0: [61, 62],
+    10: [60, 61],
+    20: [60, 61],
+    30: [59, 60],
+    40: [59, 60],
+    50: [58, 59],
+    60: [57, 58, 59],
+    70: [57, 58],
+    80: [56, 57],
+    90: [55, 56, 57],
+    100: [55, 56],
+    110: [54, 55],
+    120: [53, 54],
+    130: [52, 53, 54],
+    140: [52, 53],
+    150: [50, 51, 52],
+    160: [50, 51],
+    170: [49, 50],
+    180: [48, 49],
+    190: [47, 48],
+    200: [46, 47],
+    210: [44, 45, 46],
+    220: [44, 45],
+    230: [42, 43, 44],
+    240: [41, 42, 43],
+    250: [40, 41, 42],
+    260: [38, 39, 40, 41],
+    270: [38, 39],
+    280: [36, 37, 38],
+    290: [34, 35, 36],
+    300: [33, 34],
+    310: [31, 32, 33, 34],
+    320: [29, 30, 31, 32],
+    330: [29, 30],
+    340: [26, 27, 28, 29],
+    350: [24, 25, 26, 27],
+    360: [23, 24, 25],
+    370: [22, 23],
+    380: [19, 20, 21],
+    390: [17, 18, 19, 20],
+    400: [15, 16, 17, 18],
+    410: [13, 14, 15, 16],
+    420: [11, 12, 13],
+    430: [10, 11],
+    440: [7, 8, 9],
+    450: [5, 6, 7],
+    460: [3, 4, 5],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 358, 359],
+    490: [358, 359]
+  },
+  400: {
+    0: [60, 61],
+    10: [60],
+    20: [59, 60],
+    30: [58, 59],
+    40: [58, 59],
+    50: [57, 58],
+    60: [56, 57, 58],
+    70: [56, 57],
+    80: [55, 56],
+    90: [55],
+    100: [54, 55],
+    110: [53, 54],
+    120: [52, 53],
+    130: [51, 52],
+    140: [50, 51, 52],
+    150: [50, 51],
+    160: [49, 50],
+    170: [48, 49],
+    180: [47, 48],
+    190: [46, 47],
+    200: [45, 46],
+    210: [44, 45],
+    220: [42, 43, 44],
+    230: [42, 43],
+    240: [40, 41, 42],
+    250: [39, 40, 41],
+    260: [38, 39],
+    270: [36, 37, 38],
+    280: [35, 36, 37],
+    290: [33, 34, 35],
+    300: [32, 33, 34],
+    310: [31, 32],
+    320: [29, 30, 31],
+    330: [27, 28, 29, 30],
+    340: [25, 26, 27, 28],
+    350: [24, 25, 26],
+    360: [22, 23, 24],
+    370: [20, 21, 22, 23],
+    380: [18, 19, 20, 21],
+    390: [17, 18, 19],
+    400: [15, 16],
+    410: [13, 14, 15],
+    420: [11, 12, 13],
+    430: [8, 9, 10, 11],
+    440: [6, 7, 8, 9],
+    450: [4, 5, 6, 7],
+    460: [2, 3, 4, 5],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 358, 359],
+    490: [358, 359]
+  },
+  410: {
+    0: [59, 60],
+    10: [59, 60],
+    20: [58, 59],
+    30: [58],
+    40: [57, 58],
+    50: [56, 57],
+    60: [56, 57],
+    70: [55, 56],
+    80: [54, 55],
+    90: [53, 54, 55],
+    100: [53, 54],
+    110: [52, 53],
+    120: [51, 52],
+    130: [50, 51, 52],
+    140: [49, 50, 51],
+    150: [49, 50],
+    160: [48, 49],
+    170: [47, 48],
+    180: [46, 47],
+    190: [45, 46],
+    200: [44, 45],
+    210: [42, 43, 44],
+    220: [42, 43],
+    230: [40, 41, 42],
+    240: [39, 40, 41],
+    250: [38, 39, 40],
+    260: [36, 37, 38, 39],
+    270: [36, 37],
+    280: [34, 35, 36],
+    290: [32, 33, 34, 35],
+    300: [31, 32, 33],
+    310: [29, 30, 31, 32],
+    320: [28, 29, 30],
+    330: [27, 28],
+    340: [25, 26, 27],
+    350: [23, 24, 25, 26],
+    360: [21, 22, 23, 24],
+    370: [20, 21, 22],
+    380: [18, 19, 20],
+    390: [16, 17, 18],
+    400: [14, 15, 16, 17],
+    410: [12, 13, 14, 15],
+    420: [10, 11, 12, 13],
+    430: [9, 10, 11],
+    440: [7, 8, 9],
+    450: [5, 6],
+    460: [3, 4],
+    470: [1, 2, 3],
+    480: [0, 1, 359],
+    490: [358, 359]
+  },
+  420: {
+    0: [58, 59],
+    10: [58, 59],
+    20: [57, 58],
+    30: [57, 58],
+    40: [56, 57],
+    50: [56],
+    60: [55, 56],
+    70: [54, 55],
+    80: [53, 54, 55],
+    90: [53, 54],
+    100: [52, 53],
+    110: [51, 52],
+    120: [50, 51],
+    130: [49, 50, 51],
+    140: [49, 50],
+    150: [48, 49],
+    160: [47, 48],
+    170: [46, 47],
+    180: [45, 46],
+    190: [44, 45],
+    200: [43, 44],
+    210: [42, 43],
+    220: [40, 41, 42],
+    230: [40, 41],
+    240: [38, 39, 40],
+    250: [37, 38, 39],
+    260: [36, 37],
+    270: [34, 35, 36],
+    280: [33, 34, 35],
+    290: [32, 33],
+    300: [30, 31, 32],
+    310: [29, 30, 31],
+    320: [27, 28, 29],
+    330: [26, 27, 28],
+    340: [24, 25, 26],
+    350: [23, 24],
+    360: [21, 22, 23],
+    370: [19, 20, 21],
+    380: [17, 18, 19, 20],
+    390: [16, 17, 18],
+    400: [14, 15, 16],
+    410: [12, 13, 14],
+    420: [10, 11, 12],
+    430: [8, 9, 10, 11],
+    440: [6, 7, 8, 9],
+    450: [4, 5, 6, 7],
+    460: [2, 3, 4, 5],
+    470: [0, 1, 2, 3],
+    480: [0, 1, 359],
+    490: [358, 359],
+    500: [358]
+  },
+  430: {
+    0: [58, 59],
+    10: [57, 58],
+    20: [56, 57],
+    30: [56, 57],
+    40: [55, 56],
+    50: [55, 56],
+    60: [54, 55],
+    70: [53, 54],
+    80: [53],
+    90: [52, 53],
+    100: [51, 52],
+    110: [50, 51],
+    120: [49, 50, 51],
+    130: [49, 50],
+    140: [48, 49],
+    150: [47, 48],
+    160: [46, 47],
+    170: [45, 46],
+    180: [44, 45],
+    190: [43, 44],
+    200: [42, 43],
+    210: [41, 42],
+    220: [40, 41],
+    230: [38, 39, 40],
+    240: [38, 39],
+    250: [36, 37, 38],
+    260: [35, 36, 37],
+    270: [34, 35],
+    280: [32, 33, 34],
+    290: [31, 32, 33],
+    300: [30, 31],
+    310: [28, 29, 30],
+    320: [26, 27, 28, 29],
+    330: [25, 26, 27],
+    340: [24, 25],
+    350: [22, 23, 24],
+    360: [20, 21, 22, 23],
+    370: [19, 20, 21],
+    380: [18, 19],
+    390: [15, 16, 17],
+    400: [13, 14, 15, 16],
+    410: [11, 12, 13, 14],
+    420: [10, 11, 12],
+    430: [8, 9, 10],
+    440: [6, 7, 8, 9],
+    450: [5, 6, 7],
+    460: [3, 4, 5],
+    470: [1, 2, 3],
+    480: [0, 1, 359],
+    490: [358, 359]
+  },
+  440: {
+    0: [57, 58],
+    10: [56, 57],
+    20: [56, 57],
+    30: [55, 56],
+    40: [54, 55],
+    50: [54, 55],
+    60: [53, 54],
+    70: [52, 53],
+    80: [52, 53],
+    90: [51, 52],
+    100: [50, 51],
+    110: [49, 50, 51],
+    120: [49, 50],
+    130: [48, 49],
+    140: [47, 48],
+    150: [46, 47],
+    160: [45, 46],
+    170: [44, 45],
+    180: [43, 44],
+    190: [42, 43, 44],
+    200: [41, 42, 43],
+    210: [40, 41],
+    220: [39, 40, 41],
+    230: [38, 39],
+    240: [36, 37, 38],
+    250: [35, 36, 37],
+    260: [34, 35, 36],
+    270: [33, 34, 35],
+    280: [32, 33],
+    290: [30, 31, 32],
+    300: [29, 30, 31],
+    310: [27, 28, 29],
+    320: [26, 27],
+    330: [24, 25, 26],
+    340: [23, 24, 25],
+    350: [21, 22, 23],
+    360: [20, 21],
+    370: [18, 19, 20],
+    380: [16, 17, 18, 19],
+    390: [15, 16, 17],
+    400: [13, 14, 15],
+    410: [12, 13],
+    420: [10, 11],
+    430: [8, 9, 10],
+    440: [6, 7, 8],
+    450: [4, 5, 6, 7],
+    460: [2, 3, 4, 5],
+    470: [1, 2, 3],
+    480: [0, 1, 359],
+    490: [358, 359],
+    500: [358]
+  },
+  450: {
+    0: [56, 57],
+    10: [56],
+    20: [55, 56],
+    30: [54, 55],
+    40: [54],
+    50: [53, 54],
+    60: [52, 53],
+    70: [52, 53],
+    80: [51, 52],
+    90: [50, 51],
+    100: [49, 50],
+    110: [49, 50],
+    120: [48, 49],
+    130: [47, 48],
+    140: [46, 47],
+    150: [45, 46],
+    160: [44, 45, 46],
+    170: [43, 44],
+    180: [42, 43, 44],
+    190: [41, 42, 43],
+    200: [40, 41, 42],
+    210: [39, 40, 41],
+    220: [38, 39],
+    230: [37, 38, 39],
+    240: [36, 37],
+    250: [35, 36],
+    260: [33, 34, 35],
+    270: [32, 33, 34],
+    280: [31, 32, 33],
+    290: [29, 30, 31],
+    300: [28, 29, 30],
+    310: [27, 28],
+    320: [25, 26, 27],
+    330: [24, 25, 26],
+    340: [23, 24],
+    350: [21, 22, 23],
+    360: [19, 20, 21],
+    370: [18, 19, 20],
+    380: [16, 17, 18],
+    390: [15, 16],
+    400: [13, 14, 15],
+    410: [11, 12, 13],
+    420: [9, 10, 11, 12],
+    430: [8, 9, 10],
+    440: [6, 7, 8],
+    450: [4, 5, 6, 7],
+    460: [3, 4, 5],
+    470: [1, 2, 3],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  460: {
+    0: [55, 56],
+    10: [55, 56],
+    20: [54, 55],
+    30: [54],
+    40: [53, 54],
+    50: [52, 53],
+    60: [52],
+    70: [51, 52],
+    80: [50, 51],
+    90: [49, 50],
+    100: [49],
+    110: [48, 49],
+    120: [47, 48],
+    130: [46, 47],
+    140: [45, 46],
+    150: [44, 45, 46],
+    160: [44],
+    170: [42, 43, 44],
+    180: [42, 43],
+    190: [40, 41, 42],
+    200: [39, 40, 41],
+    210: [38, 39, 40],
+    220: [37, 38, 39],
+    230: [37],
+    240: [35, 36, 37],
+    250: [34, 35],
+    260: [33, 34],
+    270: [31, 32, 33],
+    280: [30, 31, 32],
+    290: [29, 30],
+    300: [27, 28, 29],
+    310: [26, 27, 28],
+    320: [25, 26],
+    330: [23, 24, 25],
+    340: [22, 23, 24],
+    350: [20, 21, 22],
+    360: [19, 20, 21],
+    370: [18, 19],
+    380: [16, 17, 18],
+    390: [14, 15, 16],
+    400: [12, 13, 14, 15],
+    410: [11, 12, 13],
+    420: [9, 10, 11],
+    430: [8, 9],
+    440: [6, 7],
+    450: [5, 6],
+    460: [3, 4],
+    470: [1, 2, 3],
+    480: [0, 1, 359],
+    490: [359]
+  },
+  470: {
+    0: [55],
+    10: [54, 55],
+    20: [54],
+    30: [53, 54],
+    40: [52, 53],
+    50: [51, 52],
+    60: [51, 52],
+    70: [50, 51],
+    80: [49, 50],
+    90: [49],
+    100: [48, 49],
+    110: [47, 48],
+    120: [46, 47],
+    130: [45, 46],
+    140: [44, 45, 46],
+    150: [44],
+    160: [43, 44],
+    170: [42, 43],
+    180: [41, 42],
+    190: [40, 41],
+    200: [39, 40],
+    210: [38, 39],
+    220: [37, 38],
+    230: [35, 36, 37],
+    240: [34, 35, 36],
+    250: [33, 34, 35],
+    260: [32, 33, 34],
+    270: [31, 32],
+    280: [30, 31],
+    290: [28, 29, 30],
+    300: [27, 28, 29],
+    310: [26, 27],
+    320: [24, 25, 26],
+    330: [23, 24, 25],
+    340: [22, 23],
+    350: [20, 21],
+    360: [18, 19, 20],
+    370: [17, 18, 19],
+    380: [15, 16, 17],
+    390: [14, 15, 16],
+    400: [13, 14],
+    410: [11, 12],
+    420: [9, 10, 11],
+    430: [7, 8, 9],
+    440: [6, 7, 8],
+    450: [4, 5, 6],
+    460: [2, 3, 4, 5],
+    470: [1, 2, 3],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  480: {
+    0: [54, 55],
+    10: [53, 54],
+    20: [53, 54],
+    30: [52, 53],
+    40: [51, 52],
+    50: [51, 52],
+    60: [50, 51],
+    70: [49, 50],
+    80: [49],
+    90: [48, 49],
+    100: [47, 48],
+    110: [46, 47],
+    120: [46],
+    130: [44, 45, 46],
+    140: [44, 45],
+    150: [43, 44],
+    160: [42, 43],
+    170: [41, 42],
+    180: [40, 41],
+    190: [39, 40],
+    200: [38, 39],
+    210: [37, 38],
+    220: [36, 37],
+    230: [35, 36],
+    240: [34, 35],
+    250: [32, 33, 34],
+    260: [32],
+    270: [30, 31, 32],
+    280: [29, 30, 31],
+    290: [28, 29],
+    300: [26, 27, 28],
+    310: [25, 26, 27],
+    320: [24, 25],
+    330: [23, 24],
+    340: [21, 22, 23],
+    350: [19, 20, 21],
+    360: [18, 19, 20],
+    370: [17, 18],
+    380: [15, 16, 17],
+    390: [14, 15],
+    400: [12, 13, 14],
+    410: [10, 11, 12],
+    420: [9, 10, 11],
+    430: [7, 8, 9],
+    440: [6, 7, 8],
+    450: [4, 5, 6],
+    460: [3, 4],
+    470: [1, 2, 3],
+    480: [0, 1],
+    490: [359]
+  },
+  490: {
+    0: [53, 54],
+    10: [53],
+    20: [52, 53],
+    30: [51, 52],
+    40: [51],
+    50: [50, 51],
+    60: [49, 50],
+    70: [49],
+    80: [48, 49],
+    90: [47, 48],
+    100: [46, 47],
+    110: [46],
+    120: [45, 46],
+    130: [44, 45],
+    140: [43, 44],
+    150: [42, 43],
+    160: [41, 42],
+    170: [40, 41],
+    180: [39, 40, 41],
+    190: [38, 39, 40],
+    200: [37, 38, 39],
+    210: [36, 37, 38],
+    220: [36],
+    230: [34, 35, 36],
+    240: [33, 34],
+    250: [32, 33],
+    260: [31, 32],
+    270: [30, 31],
+    280: [28, 29, 30],
+    290: [27, 28, 29],
+    300: [26, 27],
+    310: [25, 26],
+    320: [23, 24, 25],
+    330: [22, 23, 24],
+    340: [20, 21, 22],
+    350: [19, 20],
+    360: [18, 19],
+    370: [16, 17, 18],
+    380: [15, 16, 17],
+    390: [13, 14, 15],
+    400: [12, 13, 14],
+    410: [11, 12],
+    420: [9, 10],
+    430: [7, 8, 9],
+    440: [6, 7],
+    450: [4, 5, 6],
+    460: [3, 4],
+    470: [1, 2, 3],
+    480: [0, 1, 359],
+    490: [0, 359]
+  },
+  500: {
+    0: [52, 53],
+    10: [52, 53],
+    20: [51, 52],
+    30: [51],
+    40: [50, 51],
+    50: [49, 50],
+    60: [49],
+    70: [48, 49],
+    80: [47, 48],
+    90: [46, 47],
+    100: [46],
+    110: [45, 46],
+    120: [44, 45],
+    130: [43, 44],
+    140: [42, 43],
+    150: [41, 42, 43],
+    160: [41],
+    170: [39, 40, 41],
+    180: [39, 40],
+    190: [38, 39],
+    200: [37, 38],
+    210: [36, 37],
+    220: [34, 35, 36],
+    230: [34, 35],
+    240: [32, 33, 34],
+    250: [31, 32, 33],
+    260: [30, 31],
+    270: [29, 30],
+    280: [28, 29],
+    290: [27, 28],
+    300: [25, 26, 27],
+    310: [24, 25, 26],
+    320: [23, 24],
+    330: [22, 23],
+    340: [20, 21],
+    350: [19, 20],
+    360: [17, 18, 19],
+    370: [16, 17, 18],
+    380: [15, 16],
+    390: [13, 14],
+    400: [12, 13],
+    410: [10, 11, 12],
+    420: [8, 9, 10],
+    430: [7, 8, 9],
+    440: [6, 7],
+    450: [4, 5, 6],
+    460: [3, 4],
+    470: [1, 2, 3],
+    480: [0, 1],
+    490: [0, 359]
+  },
+  510: {
+    0: [52, 53],
+    10: [51, 52],
+    20: [51],
+    30: [50, 51],
+    40: [49, 50],
+    50: [49],
+    60: [48, 49],
+    70: [47, 48],
+    80: [46, 47],
+    90: [46],
+    100: [45, 46],
+    110: [44, 45],
+    120: [43, 44],
+    130: [43],
+    140: [42, 43],
+    150: [41, 42],
+    160: [40, 41],
+    170: [39, 40],
+    180: [38, 39],
+    190: [37, 38],
+    200: [36, 37],
+    210: [35, 36],
+    220: [34, 35],
+    230: [33, 34],
+    240: [32, 33],
+    250: [31, 32],
+    260: [29, 30, 31],
+    270: [28, 29, 30],
+    280: [28],
+    290: [26, 27],
+    300: [25, 26],
+    310: [24, 25],
+    320: [22, 23],
+    330: [21, 22, 23],
+    340: [20, 21],
+    350: [18, 19, 20],
+    360: [17, 18],
+    370: [16, 17],
+    380: [14, 15, 16],
+    390: [13, 14, 15],
+    400: [11, 12, 13],
+    410: [10, 11, 12],
+    420: [9, 10],
+    430: [7, 8],
+    440: [6, 7],
+    450: [4, 5],
+    460: [3, 4],
+    470: [1, 2, 3],
+    480: [0, 1],
+    490: [0, 359]
+  },
+  520: {
+    0: [51, 52],
+    10: [51],
+    20: [50, 51],
+    30: [49, 50],
+    40: [49],
+    50: [48, 49],
+    60: [47, 48],
+    70: [46, 47],
+    80: [46],
+    90: [45, 46],
+    100: [44, 45],
+    110: [43, 44],
+    120: [43],
+    130: [42, 43],
+    140: [41, 42],
+    150: [40, 41],
+    160: [39, 40],
+    170: [38, 39],
+    180: [37, 38],
+    190: [36, 37],
+    200: [35, 36, 37],
+    210: [35],
+    220: [33, 34, 35],
+    230: [32, 33, 34],
+    240: [31, 32],
+    250: [30, 31],
+    260: [29, 30],
+    270: [28, 29],
+    280: [27, 28],
+    290: [26, 27],
+    300: [25],
+    310: [23, 24],
+    320: [22, 23],
+    330: [21, 22],
+    340: [20, 21],
+    350: [18, 19],
+    360: [17, 18],
+    370: [15, 16, 17],
+    380: [14, 15, 16],
+    390: [13, 14],
+    400: [12],
+    410: [10, 11],
+    420: [8, 9, 10],
+    430: [7, 8, 9],
+    440: [5, 6, 7],
+    450: [4, 5, 6],
+    460: [3, 4],
+    470: [1, 2, 3],
+    480: [0, 1, 2],
+    490: [0, 359],
+    500: [359]
+  },
+  530: {
+    0: [51],
+    10: [50, 51],
+    20: [49, 50],
+    30: [49],
+    40: [48, 49],
+    50: [47, 48],
+    60: [47],
+    70: [46, 47],
+    80: [45, 46],
+    90: [45],
+    100: [44, 45],
+    110: [43, 44],
+    120: [42, 43],
+    130: [41, 42],
+    140: [40, 41],
+    150: [40],
+    160: [38, 39, 40],
+    170: [38, 39],
+    180: [37, 38],
+    190: [36, 37],
+    200: [35, 36],
+    210: [34, 35],
+    220: [33, 34],
+    230: [32, 33],
+    240: [31, 32],
+    250: [30, 31],
+    260: [29, 30],
+    270: [27, 28, 29],
+    280: [26, 27, 28],
+    290: [25, 26],
+    300: [24, 25],
+    310: [23, 24],
+    320: [22, 23],
+    330: [20, 21],
+    340: [19, 20],
+    350: [18, 19],
+    360: [16, 17, 18],
+    370: [15, 16],
+    380: [14, 15],
+    390: [12, 13, 14],
+    400: [11, 12, 13],
+    410: [10, 11],
+    420: [8, 9, 10],
+    430: [7, 8],
+    440: [6, 7],
+    450: [4, 5, 6],
+    460: [3, 4],
+    470: [2, 3],
+    480: [0, 1],
+    490: [0, 359]
+  },
+  540: {
+    0: [50, 51],
+    10: [49, 50],
+    20: [49],
+    30: [48, 49],
+    40: [47, 48],
+    50: [47],
+    60: [46, 47],
+    70: [45, 46],
+    80: [45],
+    90: [44, 45],
+    100: [43, 44],
+    110: [42, 43],
+    120: [42],
+    130: [40, 41, 42],
+    140: [40, 41],
+    150: [39, 40],
+    160: [38, 39],
+    170: [37, 38],
+    180: [36, 37],
+    190: [35, 36],
+    200: [34, 35],
+    210: [33, 34],
+    220: [32, 33],
+    230: [31, 32],
+    240: [30, 31],
+    250: [29, 30],
+    260: [28, 29],
+    270: [27, 28],
+    280: [26, 27],
+    290: [25, 26],
+    300: [24, 25],
+    310: [22, 23],
+    320: [21, 22],
+    330: [20, 21],
+    340: [19, 20],
+    350: [18, 19],
+    360: [16, 17],
+    370: [15, 16],
+    380: [13, 14, 15],
+    390: [12, 13, 14],
+    400: [11, 12],
+    410: [10, 11],
+    420: [9],
+    430: [7, 8],
+    440: [6, 7],
+    450: [4, 5, 6],
+    460: [3, 4],
+    470: [1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  550: {
+    0: [49, 50],
+    10: [49],
+    20: [48, 49],
+    30: [47, 48],
+    40: [47],
+    50: [46, 47],
+    60: [45, 46],
+    70: [45],
+    80: [44, 45],
+    90: [43, 44],
+    100: [42, 43],
+    110: [42],
+    120: [41, 42],
+    130: [40, 41],
+    140: [39, 40],
+    150: [38, 39],
+    160: [37, 38],
+    170: [36, 37, 38],
+    180: [36],
+    190: [35, 36],
+    200: [34, 35],
+    210: [33, 34],
+    220: [32, 33],
+    230: [31, 32],
+    240: [30, 31],
+    250: [29, 30],
+    260: [28],
+    270: [26, 27, 28],
+    280: [25, 26, 27],
+    290: [24, 25],
+    300: [23, 24],
+    310: [22, 23],
+    320: [21, 22],
+    330: [20, 21],
+    340: [18, 19],
+    350: [17, 18],
+    360: [16, 17],
+    370: [15, 16],
+    380: [13, 14, 15],
+    390: [12, 13],
+    400: [11, 12],
+    410: [9, 10, 11],
+    420: [8, 9, 10],
+    430: [7, 8],
+    440: [5, 6, 7],
+    450: [4, 5, 6],
+    460: [3, 4],
+    470: [1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  560: {
+    0: [49],
+    10: [48, 49],
+    20: [47, 48],
+    30: [47],
+    40: [46, 47],
+    50: [45, 46],
+    60: [45],
+    70: [44, 45],
+    80: [43, 44],
+    90: [42, 43],
+    100: [42, 43],
+    110: [41, 42],
+    120: [40, 41],
+    130: [39, 40],
+    140: [39],
+    150: [38, 39],
+    160: [37, 38],
+    170: [36, 37],
+    180: [35, 36],
+    190: [34, 35],
+    200: [33, 34],
+    210: [32, 33],
+    220: [31, 32],
+    230: [30, 31],
+    240: [29, 30],
+    250: [28, 29],
+    260: [27, 28],
+    270: [26, 27],
+    280: [25, 26],
+    290: [24, 25],
+    300: [23, 24],
+    310: [22, 23],
+    320: [20, 21],
+    330: [19, 20],
+    340: [18, 19],
+    350: [17, 18],
+    360: [16, 17],
+    370: [14, 15],
+    380: [13, 14],
+    390: [12, 13],
+    400: [10, 11, 12],
+    410: [9, 10, 11],
+    420: [8, 9],
+    430: [7, 8],
+    440: [6, 7],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2],
+    480: [0, 1],
+    490: [0]
+  },
+  570: {
+    0: [48, 49],
+    10: [47, 48],
+    20: [47],
+    30: [46, 47],
+    40: [46],
+    50: [45, 46],
+    60: [44, 45],
+    70: [43, 44],
+    80: [43],
+    90: [42, 43],
+    100: [41, 42],
+    110: [40, 41],
+    120: [40],
+    130: [39, 40],
+    140: [38, 39],
+    150: [37, 38],
+    160: [36, 37],
+    170: [35, 36],
+    180: [35],
+    190: [33, 34, 35],
+    200: [33, 34],
+    210: [32, 33],
+    220: [31, 32],
+    230: [30, 31],
+    240: [29, 30],
+    250: [28, 29],
+    260: [27, 28],
+    270: [26, 27],
+    280: [24, 25, 26],
+    290: [23, 24, 25],
+    300: [23],
+    310: [21, 22],
+    320: [20, 21],
+    330: [19, 20],
+    340: [18, 19],
+    350: [17, 18],
+    360: [15, 16, 17],
+    370: [14, 15],
+    380: [13, 14],
+    390: [12, 13],
+    400: [11, 12],
+    410: [9, 10],
+    420: [8, 9],
+    430: [7, 8],
+    440: [5, 6, 7],
+    450: [4, 5],
+    460: [3, 4],
+    470: [1, 2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  580: {
+    0: [48],
+    10: [47],
+    20: [46, 47],
+    30: [46],
+    40: [45, 46],
+    50: [44, 45],
+    60: [44],
+    70: [43, 44],
+    80: [42, 43],
+    90: [41, 42],
+    100: [41],
+    110: [40, 41],
+    120: [39, 40],
+    130: [38, 39],
+    140: [37, 38],
+    150: [37],
+    160: [36, 37],
+    170: [35, 36],
+    180: [34, 35],
+    190: [33, 34],
+    200: [32, 33],
+    210: [31, 32],
+    220: [30, 31],
+    230: [29, 30],
+    240: [28, 29],
+    250: [27, 28],
+    260: [26, 27],
+    270: [25, 26],
+    280: [24, 25],
+    290: [23, 24],
+    300: [22, 23],
+    310: [21, 22],
+    320: [20, 21],
+    330: [19],
+    340: [17, 18, 19],
+    350: [16, 17, 18],
+    360: [15, 16],
+    370: [14, 15],
+    380: [13, 14],
+    390: [12, 13],
+    400: [10, 11],
+    410: [9, 10],
+    420: [8, 9],
+    430: [6, 7, 8],
+    440: [5, 6, 7],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  590: {
+    0: [47, 48],
+    10: [46, 47],
+    20: [46],
+    30: [45, 46],
+    40: [44, 45],
+    50: [44],
+    60: [43, 44],
+    70: [42, 43],
+    80: [42],
+    90: [41, 42],
+    100: [40, 41],
+    110: [39, 40],
+    120: [39],
+    130: [38, 39],
+    140: [37, 38],
+    150: [36, 37],
+    160: [35, 36],
+    170: [34, 35],
+    180: [33, 34],
+    190: [33],
+    200: [32, 33],
+    210: [31, 32],
+    220: [30, 31],
+    230: [29, 30],
+    240: [28, 29],
+    250: [27, 28],
+    260: [26, 27],
+    270: [25, 26],
+    280: [24, 25],
+    290: [23, 24],
+    300: [22, 23],
+    310: [21],
+    320: [19, 20],
+    330: [18, 19],
+    340: [17, 18],
+    350: [16, 17],
+    360: [15, 16],
+    370: [14, 15],
+    380: [12, 13, 14],
+    390: [11, 12, 13],
+    400: [10, 11],
+    410: [9, 10],
+    420: [8, 9],
+    430: [7, 8],
+    440: [6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [0, 1, 2],
+    490: [0]
+  },
+  600: {
+    0: [46, 47],
+    10: [46],
+    20: [45, 46],
+    30: [45],
+    40: [44, 45],
+    50: [43, 44],
+    60: [42, 43],
+    70: [42],
+    80: [41, 42],
+    90: [40, 41],
+    100: [40],
+    110: [39],
+    120: [38, 39],
+    130: [37, 38],
+    140: [36, 37],
+    150: [36],
+    160: [35, 36],
+    170: [34, 35],
+    180: [33, 34],
+    190: [32, 33],
+    200: [31, 32],
+    210: [30, 31],
+    220: [29, 30],
+    230: [29],
+    240: [27, 28],
+    250: [26, 27],
+    260: [26],
+    270: [24, 25],
+    280: [23, 24],
+    290: [22, 23],
+    300: [21, 22],
+    310: [20, 21],
+    320: [19, 20],
+    330: [18, 19],
+    340: [17, 18],
+    350: [16, 17],
+    360: [15, 16],
+    370: [13, 14, 15],
+    380: [12, 13, 14],
+    390: [11, 12],
+    400: [10, 11],
+    410: [9, 10],
+    420: [8, 9],
+    430: [6, 7, 8],
+    440: [5, 6, 7],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [0, 1, 2],
+    490: [0, 1]
+  },
+  610: {
+    0: [46],
+    10: [45, 46],
+    20: [45],
+    30: [44, 45],
+    40: [43, 44],
+    50: [43],
+    60: [42],
+    70: [41, 42],
+    80: [41],
+    90: [40, 41],
+    100: [39, 40],
+    110: [38, 39],
+    120: [38],
+    130: [37, 38],
+    140: [36, 37],
+    150: [35, 36],
+    160: [34, 35],
+    170: [33, 34],
+    180: [32, 33],
+    190: [32],
+    200: [31, 32],
+    210: [30, 31],
+    220: [29, 30],
+    230: [28, 29],
+    240: [27, 28],
+    250: [26, 27],
+    260: [25, 26],
+    270: [24, 25],
+    280: [23, 24],
+    290: [22, 23],
+    300: [21, 22],
+    310: [20, 21],
+    320: [19, 20],
+    330: [18, 19],
+    340: [17, 18],
+    350: [15, 16, 17],
+    360: [14, 15, 16],
+    370: [13, 14],
+    380: [12, 13],
+    390: [11, 12],
+    400: [10, 11],
+    410: [9, 10],
+    420: [8, 9],
+    430: [6, 7, 8],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [1, 2],
+    490: [0, 1]
+  },
+  620: {
+    0: [45, 46],
+    10: [45],
+    20: [44, 45],
+    30: [43, 44],
+    40: [43],
+    50: [42, 43],
+    60: [41, 42],
+    70: [41],
+    80: [40, 41],
+    90: [39, 40],
+    100: [38, 39],
+    110: [38],
+    120: [37, 38],
+    130: [36, 37],
+    140: [35, 36],
+    150: [35],
+    160: [34],
+    170: [33, 34],
+    180: [32, 33],
+    190: [31, 32],
+    200: [30, 31],
+    210: [29, 30],
+    220: [28, 29],
+    230: [28],
+    240: [27],
+    250: [26, 27],
+    260: [25, 26],
+    270: [24],
+    280: [23, 24],
+    290: [22, 23],
+    300: [21, 22],
+    310: [20],
+    320: [19, 20],
+    330: [17, 18, 19],
+    340: [16, 17, 18],
+    350: [16],
+    360: [14, 15],
+    370: [13, 14],
+    380: [12, 13],
+    390: [11, 12],
+    400: [10, 11],
+    410: [9, 10],
+    420: [8, 9],
+    430: [7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [1, 2],
+    490: [0, 1]
+  },
+  630: {
+    0: [45],
+    10: [44, 45],
+    20: [44],
+    30: [43],
+    40: [42, 43],
+    50: [42],
+    60: [41, 42],
+    70: [40, 41],
+    80: [40],
+    90: [39],
+    100: [38, 39],
+    110: [37, 38],
+    120: [37],
+    130: [36],
+    140: [35, 36],
+    150: [34, 35],
+    160: [33, 34],
+    170: [33],
+    180: [32],
+    190: [31, 32],
+    200: [30, 31],
+    210: [29, 30],
+    220: [28, 29],
+    230: [27, 28],
+    240: [26, 27],
+    250: [25, 26],
+    260: [24, 25],
+    270: [23, 24],
+    280: [22, 23],
+    290: [22],
+    300: [20, 21],
+    310: [19, 20],
+    320: [18, 19],
+    330: [17, 18],
+    340: [16, 17],
+    350: [15, 16],
+    360: [14, 15],
+    370: [13, 14],
+    380: [12, 13],
+    390: [11, 12],
+    400: [10, 11],
+    410: [9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [1, 2],
+    490: [0, 1],
+    500: [0]
+  },
+  640: {
+    0: [44, 45],
+    10: [44],
+    20: [43, 44],
+    30: [42, 43],
+    40: [42],
+    50: [41, 42],
+    60: [40, 41],
+    70: [40],
+    80: [39, 40],
+    90: [38, 39],
+    100: [38],
+    110: [37, 38],
+    120: [36, 37],
+    130: [35, 36],
+    140: [35],
+    150: [34],
+    160: [33, 34],
+    170: [32, 33],
+    180: [31, 32],
+    190: [30, 31],
+    200: [29, 30],
+    210: [29],
+    220: [28],
+    230: [27, 28],
+    240: [26, 27],
+    250: [25, 26],
+    260: [24, 25],
+    270: [23, 24],
+    280: [22, 23],
+    290: [21, 22],
+    300: [20, 21],
+    310: [19, 20],
+    320: [18, 19],
+    330: [17, 18],
+    340: [16, 17],
+    350: [15, 16],
+    360: [14, 15],
+    370: [13, 14],
+    380: [12, 13],
+    390: [11, 12],
+    400: [10, 11],
+    410: [8, 9, 10],
+    420: [7, 8, 9],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [1, 2],
+    490: [0, 1]
+  },
+  650: {
+    0: [44],
+    10: [43, 44],
+    20: [43],
+    30: [42],
+    40: [41, 42],
+    50: [41],
+    60: [40, 41],
+    70: [39, 40],
+    80: [39],
+    90: [38],
+    100: [37, 38],
+    110: [36, 37],
+    120: [36],
+    130: [35],
+    140: [34, 35],
+    150: [33, 34],
+    160: [32, 33],
+    170: [32],
+    180: [31],
+    190: [30, 31],
+    200: [29, 30],
+    210: [28, 29],
+    220: [27, 28],
+    230: [27],
+    240: [26],
+    250: [25, 26],
+    260: [24, 25],
+    270: [23],
+    280: [22, 23],
+    290: [21, 22],
+    300: [20, 21],
+    310: [19, 20],
+    320: [18, 19],
+    330: [17, 18],
+    340: [16, 17],
+    350: [15, 16],
+    360: [14, 15],
+    370: [13, 14],
+    380: [12, 13],
+    390: [11, 12],
+    400: [10, 11],
+    410: [9],
+    420: [8],
+    430: [7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [1, 2],
+    490: [1]
+  },
+  660: {
+    0: [43, 44],
+    10: [43],
+    20: [42, 43],
+    30: [41, 42],
+    40: [41],
+    50: [40, 41],
+    60: [40],
+    70: [39],
+    80: [38, 39],
+    90: [37, 38],
+    100: [37],
+    110: [36, 37],
+    120: [35, 36],
+    130: [34, 35],
+    140: [34],
+    150: [33],
+    160: [32, 33],
+    170: [31, 32],
+    180: [30, 31],
+    190: [30],
+    200: [29],
+    210: [28, 29],
+    220: [27, 28],
+    230: [26, 27],
+    240: [25, 26],
+    250: [24, 25],
+    260: [23, 24],
+    270: [22, 23],
+    280: [21, 22],
+    290: [21],
+    300: [20],
+    310: [19, 20],
+    320: [18, 19],
+    330: [17],
+    340: [16],
+    350: [15],
+    360: [14, 15],
+    370: [13, 14],
+    380: [12],
+    390: [11],
+    400: [10],
+    410: [8, 9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [1, 2],
+    490: [1]
+  },
+  670: {
+    0: [43],
+    10: [42, 43],
+    20: [42],
+    30: [41, 42],
+    40: [40, 41],
+    50: [40],
+    60: [39, 40],
+    70: [38, 39],
+    80: [38],
+    90: [37, 38],
+    100: [36, 37],
+    110: [36],
+    120: [35],
+    130: [34, 35],
+    140: [33, 34],
+    150: [32, 33],
+    160: [32],
+    170: [31, 32],
+    180: [30, 31],
+    190: [29, 30],
+    200: [28, 29],
+    210: [28],
+    220: [27],
+    230: [26, 27],
+    240: [25, 26],
+    250: [24, 25],
+    260: [23, 24],
+    270: [22, 23],
+    280: [21, 22],
+    290: [20, 21],
+    300: [19, 20],
+    310: [18, 19],
+    320: [18],
+    330: [16, 17],
+    340: [15, 16],
+    350: [14, 15],
+    360: [13, 14],
+    370: [13],
+    380: [12],
+    390: [10, 11],
+    400: [9, 10],
+    410: [8, 9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [1, 2],
+    490: [1]
+  },
+  680: {
+    0: [43],
+    10: [42],
+    20: [41, 42],
+    30: [41],
+    40: [40, 41],
+    50: [39, 40],
+    60: [39],
+    70: [38],
+    80: [37, 38],
+    90: [37],
+    100: [36],
+    110: [35, 36],
+    120: [34, 35],
+    130: [34],
+    140: [33, 34],
+    150: [32, 33],
+    160: [31, 32],
+    170: [31],
+    180: [30],
+    190: [29, 30],
+    200: [28, 29],
+    210: [27, 28],
+    220: [26, 27],
+    230: [26],
+    240: [25],
+    250: [24, 25],
+    260: [23, 24],
+    270: [22],
+    280: [21, 22],
+    290: [20, 21],
+    300: [19, 20],
+    310: [18, 19],
+    320: [17, 18],
+    330: [16, 17],
+    340: [15, 16],
+    350: [14, 15],
+    360: [13, 14],
+    370: [12, 13],
+    380: [11, 12],
+    390: [10, 11],
+    400: [9, 10],
+    410: [8, 9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [1, 2],
+    490: [1]
+  },
+  690: {
+    0: [42, 43],
+    10: [41, 42],
+    20: [41],
+    30: [40, 41],
+    40: [40],
+    50: [39],
+    60: [38, 39],
+    70: [38],
+    80: [37],
+    90: [36, 37],
+    100: [36],
+    110: [35],
+    120: [34, 35],
+    130: [33, 34],
+    140: [33],
+    150: [32],
+    160: [31, 32],
+    170: [30, 31],
+    180: [29, 30],
+    190: [29],
+    200: [28],
+    210: [27, 28],
+    220: [26, 27],
+    230: [25, 26],
+    240: [24, 25],
+    250: [23, 24],
+    260: [23],
+    270: [22],
+    280: [21, 22],
+    290: [20, 21],
+    300: [19, 20],
+    310: [18, 19],
+    320: [17, 18],
+    330: [16, 17],
+    340: [15, 16],
+    350: [14, 15],
+    360: [13, 14],
+    370: [12, 13],
+    380: [11, 12],
+    390: [10, 11],
+    400: [9, 10],
+    410: [8, 9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [1, 2],
+    490: [1]
+  },
+  700: {
+    0: [42],
+    10: [41, 42],
+    20: [40, 41],
+    30: [40],
+    40: [39, 40],
+    50: [39],
+    60: [38],
+    70: [37, 38],
+    80: [36, 37],
+    90: [36],
+    100: [35, 36],
+    110: [34, 35],
+    120: [34],
+    130: [33],
+    140: [32, 33],
+    150: [31, 32],
+    160: [31],
+    170: [30],
+    180: [29, 30],
+    190: [28, 29],
+    200: [27, 28],
+    210: [27],
+    220: [26],
+    230: [25, 26],
+    240: [24, 25],
+    250: [23, 24],
+    260: [22, 23],
+    270: [21, 22],
+    280: [21],
+    290: [20],
+    300: [19],
+    310: [18, 19],
+    320: [17, 18],
+    330: [16, 17],
+    340: [15, 16],
+    350: [14, 15],
+    360: [13, 14],
+    370: [12, 13],
+    380: [11, 12],
+    390: [10, 11],
+    400: [9, 10],
+    410: [8, 9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [1, 2],
+    490: [1]
+  },
+  710: {
+    0: [41, 42],
+    10: [41],
+    20: [40],
+    30: [39, 40],
+    40: [39],
+    50: [38],
+    60: [37, 38],
+    70: [37],
+    80: [36, 37],
+    90: [35, 36],
+    100: [35],
+    110: [34],
+    120: [33, 34],
+    130: [33],
+    140: [32],
+    150: [31, 32],
+    160: [30, 31],
+    170: [29, 30],
+    180: [29],
+    190: [28, 29],
+    200: [27, 28],
+    210: [26, 27],
+    220: [25, 26],
+    230: [25],
+    240: [24],
+    250: [23, 24],
+    260: [22, 23],
+    270: [21, 22],
+    280: [20, 21],
+    290: [19, 20],
+    300: [19],
+    310: [18],
+    320: [17],
+    330: [16, 17],
+    340: [15, 16],
+    350: [14, 15],
+    360: [13, 14],
+    370: [12, 13],
+    380: [11, 12],
+    390: [10, 11],
+    400: [9, 10],
+    410: [8, 9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [1, 2],
+    490: [1]
+  },
+  720: {
+    0: [41],
+    10: [40, 41],
+    20: [40],
+    30: [39],
+    40: [38, 39],
+    50: [38],
+    60: [37],
+    70: [36, 37],
+    80: [36],
+    90: [35, 36],
+    100: [34, 35],
+    110: [34],
+    120: [33],
+    130: [32, 33],
+    140: [31, 32],
+    150: [31],
+    160: [30, 31],
+    170: [29, 30],
+    180: [28, 29],
+    190: [28],
+    200: [27],
+    210: [26, 27],
+    220: [25, 26],
+    230: [24, 25],
+    240: [23, 24],
+    250: [23],
+    260: [22],
+    270: [21, 22],
+    280: [20, 21],
+    290: [19, 20],
+    300: [18, 19],
+    310: [17, 18],
+    320: [16, 17],
+    330: [16],
+    340: [15],
+    350: [14],
+    360: [13, 14],
+    370: [12, 13],
+    380: [11, 12],
+    390: [10, 11],
+    400: [9, 10],
+    410: [8, 9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [1, 2],
+    490: [1]
+  },
+  730: {
+    0: [40, 41],
+    10: [40],
+    20: [39, 40],
+    30: [39],
+    40: [38],
+    50: [37, 38],
+    60: [37],
+    70: [36],
+    80: [35, 36],
+    90: [35],
+    100: [34],
+    110: [33, 34],
+    120: [33],
+    130: [32],
+    140: [31],
+    150: [30, 31],
+    160: [30],
+    170: [29],
+    180: [28, 29],
+    190: [27, 28],
+    200: [26, 27],
+    210: [26],
+    220: [25],
+    230: [24, 25],
+    240: [23, 24],
+    250: [22, 23],
+    260: [21, 22],
+    270: [21],
+    280: [20],
+    290: [19, 20],
+    300: [18, 19],
+    310: [17, 18],
+    320: [16, 17],
+    330: [16],
+    340: [14, 15],
+    350: [14],
+    360: [13],
+    370: [12, 13],
+    380: [11, 12],
+    390: [10, 11],
+    400: [9, 10],
+    410: [8, 9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [2, 3],
+    480: [2],
+    490: [1]
+  },
+  740: {
+    0: [40],
+    10: [40],
+    20: [39],
+    30: [38, 39],
+    40: [38],
+    50: [37],
+    60: [36, 37],
+    70: [36],
+    80: [35],
+    90: [34, 35],
+    100: [34],
+    110: [33],
+    120: [32, 33],
+    130: [32],
+    140: [31],
+    150: [30, 31],
+    160: [29, 30],
+    170: [28, 29],
+    180: [28],
+    190: [27, 28],
+    200: [26, 27],
+    210: [25, 26],
+    220: [25],
+    230: [24],
+    240: [23],
+    250: [22, 23],
+    260: [21, 22],
+    270: [21],
+    280: [20],
+    290: [19],
+    300: [18, 19],
+    310: [17, 18],
+    320: [16, 17],
+    330: [15, 16],
+    340: [14, 15],
+    350: [14],
+    360: [13],
+    370: [12],
+    380: [11],
+    390: [10, 11],
+    400: [9, 10],
+    410: [8, 9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [4],
+    470: [3],
+    480: [2],
+    490: [1]
+  },
+  750: {
+    0: [40],
+    10: [39],
+    20: [39],
+    30: [38],
+    40: [37, 38],
+    50: [37],
+    60: [36],
+    70: [35, 36],
+    80: [35],
+    90: [34],
+    100: [33, 34],
+    110: [33],
+    120: [32],
+    130: [31, 32],
+    140: [30, 31],
+    150: [30],
+    160: [29, 30],
+    170: [28, 29],
+    180: [27, 28],
+    190: [27],
+    200: [26],
+    210: [25, 26],
+    220: [24, 25],
+    230: [24],
+    240: [23],
+    250: [22, 23],
+    260: [21, 22],
+    270: [20, 21],
+    280: [19, 20],
+    290: [19],
+    300: [18],
+    310: [17],
+    320: [16, 17],
+    330: [15, 16],
+    340: [14, 15],
+    350: [14],
+    360: [13],
+    370: [12],
+    380: [11],
+    390: [10, 11],
+    400: [9, 10],
+    410: [8, 9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [3],
+    480: [2],
+    490: [1],
+    500: [1]
+  },
+  760: {
+    0: [39, 40],
+    10: [39],
+    20: [38],
+    30: [37, 38],
+    40: [37],
+    50: [36, 37],
+    60: [36],
+    70: [35],
+    80: [34, 35],
+    90: [34],
+    100: [33],
+    110: [32, 33],
+    120: [32],
+    130: [31],
+    140: [30, 31],
+    150: [29, 30],
+    160: [29],
+    170: [28],
+    180: [27, 28],
+    190: [27],
+    200: [26],
+    210: [25],
+    220: [24, 25],
+    230: [23, 24],
+    240: [22, 23],
+    250: [22],
+    260: [21],
+    270: [20, 21],
+    280: [19, 20],
+    290: [19],
+    300: [18],
+    310: [17],
+    320: [16, 17],
+    330: [15, 16],
+    340: [14, 15],
+    350: [13, 14],
+    360: [12, 13],
+    370: [12],
+    380: [11],
+    390: [10],
+    400: [9],
+    410: [8, 9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [3, 4],
+    470: [3],
+    480: [2],
+    490: [1, 2],
+    500: [1]
+  },
+  770: {
+    0: [39],
+    10: [38, 39],
+    20: [38],
+    30: [37, 38],
+    40: [37],
+    50: [36],
+    60: [35, 36],
+    70: [35],
+    80: [34],
+    90: [33, 34],
+    100: [33],
+    110: [32],
+    120: [31, 32],
+    130: [31],
+    140: [30],
+    150: [29, 30],
+    160: [28, 29],
+    170: [28],
+    180: [27],
+    190: [26, 27],
+    200: [25, 26],
+    210: [25],
+    220: [24],
+    230: [23, 24],
+    240: [22, 23],
+    250: [21, 22],
+    260: [21],
+    270: [20],
+    280: [19, 20],
+    290: [18, 19],
+    300: [17, 18],
+    310: [17],
+    320: [16],
+    330: [15],
+    340: [14, 15],
+    350: [13, 14],
+    360: [12, 13],
+    370: [12],
+    380: [11],
+    390: [10],
+    400: [9],
+    410: [8, 9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [4],
+    470: [3],
+    480: [2],
+    490: [1, 2]
+  },
+  780: {
+    0: [39],
+    10: [38],
+    20: [37, 38],
+    30: [37],
+    40: [36, 37],
+    50: [36],
+    60: [35],
+    70: [34, 35],
+    80: [34],
+    90: [33],
+    100: [32, 33],
+    110: [32],
+    120: [31],
+    130: [30, 31],
+    140: [30],
+    150: [29],
+    160: [28, 29],
+    170: [27, 28],
+    180: [27],
+    190: [26],
+    200: [25, 26],
+    210: [24, 25],
+    220: [24],
+    230: [23],
+    240: [22, 23],
+    250: [21, 22],
+    260: [21],
+    270: [20],
+    280: [19],
+    290: [18, 19],
+    300: [17, 18],
+    310: [17],
+    320: [16],
+    330: [15],
+    340: [14, 15],
+    350: [13, 14],
+    360: [12, 13],
+    370: [11, 12],
+    380: [11],
+    390: [10],
+    400: [9],
+    410: [8, 9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [5],
+    460: [4],
+    470: [3],
+    480: [2],
+    490: [2]
+  },
+  790: {
+    0: [38, 39],
+    10: [38],
+    20: [37],
+    30: [36, 37],
+    40: [36],
+    50: [35, 36],
+    60: [35],
+    70: [34],
+    80: [33, 34],
+    90: [33],
+    100: [32],
+    110: [31, 32],
+    120: [31],
+    130: [30],
+    140: [29, 30],
+    150: [29],
+    160: [28],
+    170: [27, 28],
+    180: [26, 27],
+    190: [26],
+    200: [25],
+    210: [24, 25],
+    220: [23, 24],
+    230: [23],
+    240: [22],
+    250: [21, 22],
+    260: [20, 21],
+    270: [19, 20],
+    280: [19],
+    290: [18],
+    300: [17, 18],
+    310: [16, 17],
+    320: [15, 16],
+    330: [15],
+    340: [14],
+    350: [13],
+    360: [12, 13],
+    370: [11, 12],
+    380: [10, 11],
+    390: [10],
+    400: [9],
+    410: [8, 9],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [4, 5],
+    460: [4],
+    470: [3],
+    480: [2, 3],
+    490: [2]
+  },
+  800: {
+    0: [38],
+    10: [37, 38],
+    20: [37],
+    30: [36, 37],
+    40: [36],
+    50: [35],
+    60: [34, 35],
+    70: [34],
+    80: [33],
+    90: [32, 33],
+    100: [32],
+    110: [31],
+    120: [30, 31],
+    130: [30],
+    140: [29],
+    150: [28, 29],
+    160: [28],
+    170: [27],
+    180: [26, 27],
+    190: [25, 26],
+    200: [25],
+    210: [24],
+    220: [23, 24],
+    230: [22, 23],
+    240: [22],
+    250: [21],
+    260: [20, 21],
+    270: [19, 20],
+    280: [19],
+    290: [18],
+    300: [17],
+    310: [16, 17],
+    320: [15, 16],
+    330: [15],
+    340: [14],
+    350: [13],
+    360: [12, 13],
+    370: [11, 12],
+    380: [10, 11],
+    390: [10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [5],
+    460: [4],
+    470: [3],
+    480: [2, 3],
+    490: [2]
+  },
+  810: {
+    0: [38],
+    10: [37],
+    20: [36, 37],
+    30: [36],
+    40: [35, 36],
+    50: [35],
+    60: [34],
+    70: [33, 34],
+    80: [33],
+    90: [32],
+    100: [31, 32],
+    110: [31],
+    120: [30],
+    130: [29, 30],
+    140: [29],
+    150: [28],
+    160: [27, 28],
+    170: [27],
+    180: [26],
+    190: [25, 26],
+    200: [24, 25],
+    210: [24],
+    220: [23],
+    230: [22, 23],
+    240: [22],
+    250: [21],
+    260: [20],
+    270: [19, 20],
+    280: [18, 19],
+    290: [18],
+    300: [17],
+    310: [16, 17],
+    320: [15, 16],
+    330: [14, 15],
+    340: [14],
+    350: [13],
+    360: [12, 13],
+    370: [11, 12],
+    380: [10, 11],
+    390: [10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [5],
+    460: [4],
+    470: [3],
+    480: [2, 3],
+    490: [2]
+  },
+  820: {
+    0: [37, 38],
+    10: [37],
+    20: [36],
+    30: [36],
+    40: [35],
+    50: [34, 35],
+    60: [34],
+    70: [33],
+    80: [32, 33],
+    90: [32],
+    100: [31, 32],
+    110: [30, 31],
+    120: [30],
+    130: [29],
+    140: [28, 29],
+    150: [28],
+    160: [27],
+    170: [26, 27],
+    180: [26],
+    190: [25],
+    200: [24, 25],
+    210: [24],
+    220: [23],
+    230: [22, 23],
+    240: [21, 22],
+    250: [21],
+    260: [20],
+    270: [19],
+    280: [18, 19],
+    290: [17, 18],
+    300: [17],
+    310: [16],
+    320: [15, 16],
+    330: [14, 15],
+    340: [14],
+    350: [13],
+    360: [12],
+    370: [11, 12],
+    380: [10, 11],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [6, 7],
+    440: [6],
+    450: [5],
+    460: [4],
+    470: [3],
+    480: [2, 3],
+    490: [2]
+  },
+  830: {
+    0: [37],
+    10: [36, 37],
+    20: [36],
+    30: [35, 36],
+    40: [35],
+    50: [34],
+    60: [33, 34],
+    70: [33],
+    80: [32],
+    90: [32],
+    100: [31],
+    110: [30, 31],
+    120: [30],
+    130: [29],
+    140: [28, 29],
+    150: [28],
+    160: [27],
+    170: [26, 27],
+    180: [25, 26],
+    190: [25],
+    200: [24],
+    210: [23, 24],
+    220: [23],
+    230: [22],
+    240: [21, 22],
+    250: [20, 21],
+    260: [20],
+    270: [19],
+    280: [18, 19],
+    290: [17, 18],
+    300: [17],
+    310: [16],
+    320: [15, 16],
+    330: [14, 15],
+    340: [14],
+    350: [13],
+    360: [12],
+    370: [11, 12],
+    380: [10, 11],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [5],
+    460: [4],
+    470: [3, 4],
+    480: [2, 3],
+    490: [2]
+  },
+  840: {
+    0: [37],
+    10: [36],
+    20: [36],
+    30: [35],
+    40: [34, 35],
+    50: [34],
+    60: [33],
+    70: [33],
+    80: [32],
+    90: [31, 32],
+    100: [31],
+    110: [30],
+    120: [29, 30],
+    130: [29],
+    140: [28],
+    150: [27, 28],
+    160: [27],
+    170: [26],
+    180: [25, 26],
+    190: [25],
+    200: [24],
+    210: [23, 24],
+    220: [23],
+    230: [22],
+    240: [21],
+    250: [20, 21],
+    260: [19, 20],
+    270: [19],
+    280: [18],
+    290: [17, 18],
+    300: [16, 17],
+    310: [16],
+    320: [15],
+    330: [14, 15],
+    340: [13, 14],
+    350: [13],
+    360: [12],
+    370: [11, 12],
+    380: [10, 11],
+    390: [10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [6, 7],
+    440: [5, 6],
+    450: [5],
+    460: [4],
+    470: [3, 4],
+    480: [2, 3],
+    490: [2]
+  },
+  850: {
+    0: [36, 37],
+    10: [36],
+    20: [35],
+    30: [35],
+    40: [34],
+    50: [34],
+    60: [33],
+    70: [32, 33],
+    80: [32],
+    90: [31],
+    100: [30, 31],
+    110: [30],
+    120: [29],
+    130: [28, 29],
+    140: [28],
+    150: [27],
+    160: [26, 27],
+    170: [26],
+    180: [25],
+    190: [24, 25],
+    200: [24],
+    210: [23],
+    220: [22, 23],
+    230: [22],
+    240: [21],
+    250: [20],
+    260: [19, 20],
+    270: [19],
+    280: [18],
+    290: [17],
+    300: [16, 17],
+    310: [16],
+    320: [15],
+    330: [14],
+    340: [13, 14],
+    350: [13],
+    360: [12],
+    370: [11, 12],
+    380: [10, 11],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [6, 7],
+    440: [6],
+    450: [5],
+    460: [4],
+    470: [3, 4],
+    480: [2, 3],
+    490: [2]
+  },
+  860: {
+    0: [36],
+    10: [36],
+    20: [35],
+    30: [34, 35],
+    40: [34],
+    50: [33],
+    60: [33],
+    70: [32],
+    80: [31, 32],
+    90: [31],
+    100: [30],
+    110: [30],
+    120: [29],
+    130: [28, 29],
+    140: [28],
+    150: [27],
+    160: [26],
+    170: [26],
+    180: [25],
+    190: [24, 25],
+    200: [23, 24],
+    210: [23],
+    220: [22],
+    230: [21, 22],
+    240: [21],
+    250: [20],
+    260: [19, 20],
+    270: [19],
+    280: [18],
+    290: [17],
+    300: [16, 17],
+    310: [16],
+    320: [15],
+    330: [14],
+    340: [13, 14],
+    350: [13],
+    360: [12],
+    370: [11],
+    380: [10, 11],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [6, 7],
+    440: [6],
+    450: [5],
+    460: [4],
+    470: [3, 4],
+    480: [3],
+    490: [2]
+  },
+  870: {
+    0: [36],
+    10: [35, 36],
+    20: [35],
+    30: [34],
+    40: [34],
+    50: [33],
+    60: [32, 33],
+    70: [32],
+    80: [31],
+    90: [30, 31],
+    100: [30],
+    110: [29, 30],
+    120: [29],
+    130: [28],
+    140: [27, 28],
+    150: [27],
+    160: [26],
+    170: [25, 26],
+    180: [25],
+    190: [24],
+    200: [23, 24],
+    210: [23],
+    220: [22],
+    230: [21, 22],
+    240: [20, 21],
+    250: [20],
+    260: [19],
+    270: [18, 19],
+    280: [18],
+    290: [17],
+    300: [16, 17],
+    310: [15, 16],
+    320: [15],
+    330: [14],
+    340: [13, 14],
+    350: [13],
+    360: [12],
+    370: [11],
+    380: [10, 11],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [6, 7],
+    440: [6],
+    450: [5],
+    460: [4],
+    470: [3, 4],
+    480: [2, 3],
+    490: [2]
+  },
+  880: {
+    0: [36],
+    10: [35],
+    20: [35],
+    30: [34],
+    40: [33, 34],
+    50: [33],
+    60: [32],
+    70: [31, 32],
+    80: [31],
+    90: [30, 31],
+    100: [30],
+    110: [29],
+    120: [28, 29],
+    130: [28],
+    140: [27],
+    150: [26, 27],
+    160: [26],
+    170: [25],
+    180: [24, 25],
+    190: [24],
+    200: [23],
+    210: [22, 23],
+    220: [22],
+    230: [21],
+    240: [20, 21],
+    250: [20],
+    260: [19],
+    270: [18, 19],
+    280: [17, 18],
+    290: [17],
+    300: [16],
+    310: [15, 16],
+    320: [15],
+    330: [14],
+    340: [13, 14],
+    350: [12, 13],
+    360: [12],
+    370: [11],
+    380: [10, 11],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7],
+    430: [6, 7],
+    440: [6],
+    450: [5],
+    460: [4, 5],
+    470: [3, 4],
+    480: [3],
+    490: [2],
+    500: [2]
+  },
+  890: {
+    0: [35, 36],
+    10: [35],
+    20: [34],
+    30: [34],
+    40: [33],
+    50: [32, 33],
+    60: [32],
+    70: [31, 32],
+    80: [31],
+    90: [30],
+    100: [29, 30],
+    110: [29],
+    120: [28],
+    130: [28],
+    140: [27],
+    150: [26, 27],
+    160: [26],
+    170: [25],
+    180: [24, 25],
+    190: [24],
+    200: [23],
+    210: [22, 23],
+    220: [22],
+    230: [21],
+    240: [20, 21],
+    250: [20],
+    260: [19],
+    270: [18, 19],
+    280: [17, 18],
+    290: [17],
+    300: [16],
+    310: [15, 16],
+    320: [15],
+    330: [14],
+    340: [13],
+    350: [12, 13],
+    360: [12],
+    370: [11],
+    380: [10, 11],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [6, 7],
+    440: [6],
+    450: [5],
+    460: [4, 5],
+    470: [3, 4],
+    480: [3]
+  },
+  900: {
+    0: [35],
+    10: [35],
+    20: [34],
+    30: [33, 34],
+    40: [33],
+    50: [32],
+    60: [32],
+    70: [31],
+    80: [30, 31],
+    90: [30],
+    100: [29],
+    110: [29],
+    120: [28],
+    130: [27, 28],
+    140: [27],
+    150: [26],
+    160: [26],
+    170: [25],
+    180: [24],
+    190: [23, 24],
+    200: [23],
+    210: [22],
+    220: [21, 22],
+    230: [21],
+    240: [20],
+    250: [19, 20],
+    260: [19],
+    270: [18],
+    280: [17, 18],
+    290: [17],
+    300: [16],
+    310: [15, 16],
+    320: [15],
+    330: [14],
+    340: [13],
+    350: [12, 13],
+    360: [12],
+    370: [11],
+    380: [10],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [6, 7],
+    440: [6],
+    450: [5],
+    460: [4, 5],
+    470: [4],
+    480: [3]
+  },
+  910: {
+    0: [35],
+    10: [34, 35],
+    20: [34],
+    30: [33],
+    40: [33],
+    50: [32],
+    60: [31, 32],
+    70: [31],
+    80: [30],
+    90: [30],
+    100: [29],
+    110: [28, 29],
+    120: [28],
+    130: [27],
+    140: [27],
+    150: [26],
+    160: [25],
+    170: [25],
+    180: [24],
+    190: [23, 24],
+    200: [23],
+    210: [22],
+    220: [21, 22],
+    230: [21],
+    240: [20],
+    250: [19, 20],
+    260: [19],
+    270: [18],
+    280: [17, 18],
+    290: [16, 17],
+    300: [16],
+    310: [15],
+    320: [14, 15],
+    330: [14],
+    340: [13],
+    350: [12, 13],
+    360: [12],
+    370: [11],
+    380: [10],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [7],
+    440: [6],
+    450: [5],
+    460: [4, 5],
+    470: [4],
+    480: [3]
+  },
+  920: {
+    0: [35],
+    10: [34],
+    20: [33, 34],
+    30: [33],
+    40: [32, 33],
+    50: [32],
+    60: [31],
+    70: [31],
+    80: [30],
+    90: [29, 30],
+    100: [29],
+    110: [28],
+    120: [28],
+    130: [27],
+    140: [26, 27],
+    150: [26],
+    160: [25],
+    170: [24, 25],
+    180: [24],
+    190: [23],
+    200: [23],
+    210: [22],
+    220: [21],
+    230: [21],
+    240: [20],
+    250: [19],
+    260: [18, 19],
+    270: [18],
+    280: [17],
+    290: [16, 17],
+    300: [16],
+    310: [15],
+    320: [14, 15],
+    330: [14],
+    340: [13],
+    350: [12, 13],
+    360: [12],
+    370: [11],
+    380: [10],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [7],
+    440: [6],
+    450: [5],
+    460: [4, 5],
+    470: [4],
+    480: [3],
+    490: [3]
+  },
+  930: {
+    0: [34, 35],
+    10: [34],
+    20: [33],
+    30: [33],
+    40: [32],
+    50: [32],
+    60: [31],
+    70: [30, 31],
+    80: [30],
+    90: [29],
+    100: [29],
+    110: [28],
+    120: [27, 28],
+    130: [27],
+    140: [26],
+    150: [26],
+    160: [25],
+    170: [24, 25],
+    180: [24],
+    190: [23],
+    200: [22, 23],
+    210: [22],
+    220: [21],
+    230: [20, 21],
+    240: [20],
+    250: [19],
+    260: [18, 19],
+    270: [18],
+    280: [17],
+    290: [16, 17],
+    300: [16],
+    310: [15],
+    320: [14, 15],
+    330: [14],
+    340: [13],
+    350: [12, 13],
+    360: [12],
+    370: [11],
+    380: [10],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [7],
+    440: [6],
+    450: [5],
+    460: [4, 5],
+    470: [4],
+    480: [3],
+    490: [3]
+  },
+  940: {
+    0: [34],
+    10: [34],
+    20: [33],
+    30: [32, 33],
+    40: [32],
+    50: [31, 32],
+    60: [31],
+    70: [30],
+    80: [30],
+    90: [29],
+    100: [28, 29],
+    110: [28],
+    120: [27],
+    130: [27],
+    140: [26],
+    150: [25, 26],
+    160: [25],
+    170: [24],
+    180: [23, 24],
+    190: [23],
+    200: [22],
+    210: [22],
+    220: [21],
+    230: [20, 21],
+    240: [20],
+    250: [19],
+    260: [18, 19],
+    270: [18],
+    280: [17],
+    290: [16, 17],
+    300: [16],
+    310: [15],
+    320: [14, 15],
+    330: [14],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [7],
+    440: [6],
+    450: [5, 6],
+    460: [4, 5],
+    470: [4],
+    480: [3],
+    490: [3]
+  },
+  950: {
+    0: [34],
+    10: [33, 34],
+    20: [33],
+    30: [32],
+    40: [32],
+    50: [31],
+    60: [31],
+    70: [30],
+    80: [29, 30],
+    90: [29],
+    100: [28],
+    110: [28],
+    120: [27],
+    130: [26, 27],
+    140: [26],
+    150: [25],
+    160: [25],
+    170: [24],
+    180: [23, 24],
+    190: [23],
+    200: [22],
+    210: [21, 22],
+    220: [21],
+    230: [20],
+    240: [19, 20],
+    250: [19],
+    260: [18],
+    270: [18],
+    280: [17],
+    290: [16],
+    300: [16],
+    310: [15],
+    320: [14, 15],
+    330: [14],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [7],
+    440: [6],
+    450: [5, 6],
+    460: [5],
+    470: [4],
+    480: [3],
+    490: [3]
+  },
+  960: {
+    0: [34],
+    10: [33],
+    20: [33],
+    30: [32],
+    40: [32],
+    50: [31],
+    60: [30, 31],
+    70: [30],
+    80: [29],
+    90: [29],
+    100: [28],
+    110: [27, 28],
+    120: [27],
+    130: [26],
+    140: [26],
+    150: [25],
+    160: [24, 25],
+    170: [24],
+    180: [23],
+    190: [23],
+    200: [22],
+    210: [21, 22],
+    220: [21],
+    230: [20],
+    240: [19, 20],
+    250: [19],
+    260: [18],
+    270: [17, 18],
+    280: [17],
+    290: [16],
+    300: [15, 16],
+    310: [15],
+    320: [14],
+    330: [14],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [7],
+    440: [6],
+    450: [5, 6],
+    460: [5],
+    470: [4],
+    480: [3, 4],
+    490: [3]
+  },
+  970: {
+    0: [34],
+    10: [33],
+    20: [32, 33],
+    30: [32],
+    40: [31],
+    50: [31],
+    60: [30],
+    70: [30],
+    80: [29],
+    90: [29],
+    100: [28],
+    110: [27, 28],
+    120: [27],
+    130: [26],
+    140: [26],
+    150: [25],
+    160: [24, 25],
+    170: [24],
+    180: [23],
+    190: [22, 23],
+    200: [22],
+    210: [21],
+    220: [21],
+    230: [20],
+    240: [19, 20],
+    250: [19],
+    260: [18],
+    270: [17, 18],
+    280: [17],
+    290: [16],
+    300: [15, 16],
+    310: [15],
+    320: [14],
+    330: [13, 14],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [7],
+    440: [6],
+    450: [5, 6],
+    460: [5],
+    470: [4],
+    480: [3, 4],
+    490: [3]
+  },
+  980: {
+    0: [33],
+    10: [33],
+    20: [32],
+    30: [32],
+    40: [31],
+    50: [31],
+    60: [30],
+    70: [29, 30],
+    80: [29],
+    90: [28, 29],
+    100: [28],
+    110: [27],
+    120: [27],
+    130: [26],
+    140: [25, 26],
+    150: [25],
+    160: [24],
+    170: [24],
+    180: [23],
+    190: [22, 23],
+    200: [22],
+    210: [21],
+    220: [20, 21],
+    230: [20],
+    240: [19],
+    250: [19],
+    260: [18],
+    270: [17, 18],
+    280: [17],
+    290: [16],
+    300: [15, 16],
+    310: [15],
+    320: [14],
+    330: [13, 14],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [7],
+    440: [6],
+    450: [5, 6],
+    460: [5],
+    470: [4],
+    480: [3, 4],
+    490: [3]
+  },
+  990: {
+    0: [33],
+    10: [33],
+    20: [32],
+    30: [32],
+    40: [31],
+    50: [30, 31],
+    60: [30],
+    70: [29],
+    80: [29],
+    90: [28],
+    100: [28],
+    110: [27],
+    120: [26, 27],
+    130: [26],
+    140: [25],
+    150: [25],
+    160: [24],
+    170: [23, 24],
+    180: [23],
+    190: [22],
+    200: [22],
+    210: [21],
+    220: [20, 21],
+    230: [20],
+    240: [19],
+    250: [18, 19],
+    260: [18],
+    270: [17],
+    280: [17],
+    290: [16],
+    300: [15, 16],
+    310: [15],
+    320: [14],
+    330: [13, 14],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [7, 8],
+    430: [7],
+    440: [6],
+    450: [5, 6],
+    460: [5],
+    470: [4],
+    480: [3, 4],
+    490: [3]
+  },
+  1000: {
+    0: [33],
+    10: [32],
+    20: [32],
+    30: [31],
+    40: [31],
+    50: [30],
+    60: [30],
+    70: [29],
+    80: [29],
+    90: [28],
+    100: [27, 28],
+    110: [27],
+    120: [26],
+    130: [26],
+    140: [25],
+    150: [25],
+    160: [24],
+    170: [23, 24],
+    180: [23],
+    190: [22],
+    200: [22],
+    210: [21],
+    220: [20],
+    230: [20],
+    240: [19],
+    250: [18, 19],
+    260: [18],
+    270: [17],
+    280: [17],
+    290: [16],
+    300: [15, 16],
+    310: [15],
+    320: [14],
+    330: [13, 14],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [8],
+    430: [7],
+    440: [6],
+    450: [5, 6],
+    460: [5],
+    470: [4],
+    480: [4],
+    490: [3],
+    500: [3]
+  },
+  1010: {
+    0: [33],
+    10: [32],
+    20: [32],
+    30: [31],
+    40: [31],
+    50: [30],
+    60: [30],
+    70: [29],
+    80: [28, 29],
+    90: [28],
+    100: [27],
+    110: [27],
+    120: [26],
+    130: [26],
+    140: [25],
+    150: [24, 25],
+    160: [24],
+    170: [23],
+    180: [23],
+    190: [22],
+    200: [21, 22],
+    210: [21],
+    220: [20],
+    230: [20],
+    240: [19],
+    250: [18, 19],
+    260: [18],
+    270: [17],
+    280: [16, 17],
+    290: [16],
+    300: [15],
+    310: [15],
+    320: [14],
+    330: [13, 14],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [8],
+    430: [7],
+    440: [6],
+    450: [6],
+    460: [5],
+    470: [4, 5],
+    480: [4],
+    490: [3],
+    500: [3]
+  },
+  1020: {
+    0: [33],
+    10: [32],
+    20: [32],
+    30: [31],
+    40: [30, 31],
+    50: [30],
+    60: [29],
+    70: [29],
+    80: [28],
+    90: [28],
+    100: [27],
+    110: [27],
+    120: [26],
+    130: [25, 26],
+    140: [25],
+    150: [24],
+    160: [24],
+    170: [23],
+    180: [23],
+    190: [22],
+    200: [21, 22],
+    210: [21],
+    220: [20],
+    230: [20],
+    240: [19],
+    250: [18],
+    260: [18],
+    270: [17],
+    280: [16, 17],
+    290: [16],
+    300: [15],
+    310: [15],
+    320: [14],
+    330: [13, 14],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [9, 10],
+    400: [9],
+    410: [8],
+    420: [8],
+    430: [7],
+    440: [6],
+    450: [6],
+    460: [5],
+    470: [4, 5],
+    480: [4],
+    490: [3]
+  },
+  1030: {
+    0: [32, 33],
+    10: [32],
+    20: [31],
+    30: [31],
+    40: [30],
+    50: [30],
+    60: [29],
+    70: [29],
+    80: [28],
+    90: [28],
+    100: [27],
+    110: [26, 27],
+    120: [26],
+    130: [25],
+    140: [25],
+    150: [24],
+    160: [24],
+    170: [23],
+    180: [22, 23],
+    190: [22],
+    200: [21],
+    210: [21],
+    220: [20],
+    230: [19, 20],
+    240: [19],
+    250: [18],
+    260: [18],
+    270: [17],
+    280: [16, 17],
+    290: [16],
+    300: [15],
+    310: [15],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [10],
+    400: [9],
+    410: [8],
+    420: [8],
+    430: [7],
+    440: [6, 7],
+    450: [6],
+    460: [5],
+    470: [4, 5],
+    480: [4]
+  },
+  1040: {
+    0: [32],
+    10: [32],
+    20: [31],
+    30: [31],
+    40: [30],
+    50: [30],
+    60: [29],
+    70: [29],
+    80: [28],
+    90: [27, 28],
+    100: [27],
+    110: [26],
+    120: [26],
+    130: [25],
+    140: [25],
+    150: [24],
+    160: [23, 24],
+    170: [23],
+    180: [22],
+    190: [22],
+    200: [21],
+    210: [21],
+    220: [20],
+    230: [19, 20],
+    240: [19],
+    250: [18],
+    260: [18],
+    270: [17],
+    280: [16, 17],
+    290: [16],
+    300: [15],
+    310: [14, 15],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [10],
+    400: [9],
+    410: [8],
+    420: [8],
+    430: [7],
+    440: [6, 7],
+    450: [6],
+    460: [5],
+    470: [5],
+    480: [4]
+  },
+  1050: {
+    0: [32],
+    10: [32],
+    20: [31],
+    30: [31],
+    40: [30],
+    50: [29, 30],
+    60: [29],
+    70: [28],
+    80: [28],
+    90: [27],
+    100: [27],
+    110: [26],
+    120: [26],
+    130: [25],
+    140: [24, 25],
+    150: [24],
+    160: [23],
+    170: [23],
+    180: [22],
+    190: [22],
+    200: [21],
+    210: [20, 21],
+    220: [20],
+    230: [19],
+    240: [19],
+    250: [18],
+    260: [18],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14, 15],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [10],
+    400: [9],
+    410: [8],
+    420: [8],
+    430: [7],
+    440: [6, 7],
+    450: [6],
+    460: [5],
+    470: [5],
+    480: [4],
+    490: [4]
+  },
+  1060: {
+    0: [32],
+    10: [31, 32],
+    20: [31],
+    30: [30],
+    40: [30],
+    50: [29],
+    60: [29],
+    70: [28],
+    80: [28],
+    90: [27],
+    100: [27],
+    110: [26],
+    120: [26],
+    130: [25],
+    140: [24],
+    150: [24],
+    160: [23],
+    170: [23],
+    180: [22],
+    190: [22],
+    200: [21],
+    210: [20],
+    220: [20],
+    230: [19],
+    240: [19],
+    250: [18],
+    260: [17, 18],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14, 15],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [10],
+    400: [9],
+    410: [8],
+    420: [8],
+    430: [7],
+    440: [7],
+    450: [6],
+    460: [5],
+    470: [5],
+    480: [4],
+    490: [4]
+  },
+  1070: {
+    0: [32],
+    10: [31],
+    20: [31],
+    30: [30],
+    40: [30],
+    50: [29],
+    60: [29],
+    70: [28],
+    80: [28],
+    90: [27],
+    100: [27],
+    110: [26],
+    120: [25],
+    130: [25],
+    140: [24],
+    150: [24],
+    160: [23],
+    170: [23],
+    180: [22],
+    190: [21, 22],
+    200: [21],
+    210: [20],
+    220: [20],
+    230: [19],
+    240: [19],
+    250: [18],
+    260: [17, 18],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14, 15],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [10],
+    400: [9],
+    410: [8, 9],
+    420: [8],
+    430: [7],
+    440: [7],
+    450: [6],
+    460: [5, 6],
+    470: [5],
+    480: [4],
+    490: [4]
+  },
+  1080: {
+    0: [32],
+    10: [31],
+    20: [31],
+    30: [30],
+    40: [30],
+    50: [29],
+    60: [29],
+    70: [28],
+    80: [27, 28],
+    90: [27],
+    100: [26],
+    110: [26],
+    120: [25],
+    130: [25],
+    140: [24],
+    150: [24],
+    160: [23],
+    170: [23],
+    180: [22],
+    190: [21],
+    200: [21],
+    210: [20],
+    220: [20],
+    230: [19],
+    240: [19],
+    250: [18],
+    260: [17, 18],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14, 15],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [10],
+    400: [9],
+    410: [8, 9],
+    420: [8],
+    430: [7],
+    440: [7],
+    450: [6],
+    460: [5, 6],
+    470: [5],
+    480: [4],
+    490: [4]
+  },
+  1090: {
+    0: [32],
+    10: [31],
+    20: [31],
+    30: [30],
+    40: [30],
+    50: [29],
+    60: [28],
+    70: [28],
+    80: [27],
+    90: [27],
+    100: [26],
+    110: [26],
+    120: [25],
+    130: [25],
+    140: [24],
+    150: [24],
+    160: [23],
+    170: [22, 23],
+    180: [22],
+    190: [21],
+    200: [21],
+    210: [20],
+    220: [20],
+    230: [19],
+    240: [18, 19],
+    250: [18],
+    260: [17],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14, 15],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [10],
+    400: [9],
+    410: [8, 9],
+    420: [8],
+    430: [7],
+    440: [7],
+    450: [6],
+    460: [5, 6],
+    470: [5],
+    480: [4],
+    490: [4]
+  },
+  1100: {
+    0: [31],
+    10: [31],
+    20: [30],
+    30: [30],
+    40: [29],
+    50: [29],
+    60: [28],
+    70: [28],
+    80: [27],
+    90: [27],
+    100: [26],
+    110: [26],
+    120: [25],
+    130: [25],
+    140: [24],
+    150: [23, 24],
+    160: [23],
+    170: [22],
+    180: [22],
+    190: [21],
+    200: [21],
+    210: [20],
+    220: [20],
+    230: [19],
+    240: [18, 19],
+    250: [18],
+    260: [17],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [10],
+    400: [9],
+    410: [8, 9],
+    420: [8],
+    430: [7],
+    440: [7],
+    450: [6],
+    460: [6],
+    470: [5],
+    480: [4],
+    490: [4]
+  },
+  1110: {
+    0: [31],
+    10: [31],
+    20: [30],
+    30: [30],
+    40: [29],
+    50: [29],
+    60: [28],
+    70: [28],
+    80: [27],
+    90: [27],
+    100: [26],
+    110: [26],
+    120: [25],
+    130: [24, 25],
+    140: [24],
+    150: [23],
+    160: [23],
+    170: [22],
+    180: [22],
+    190: [21],
+    200: [21],
+    210: [20],
+    220: [20],
+    230: [19],
+    240: [18],
+    250: [18],
+    260: [17],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [11, 12],
+    370: [11],
+    380: [10],
+    390: [10],
+    400: [9],
+    410: [9],
+    420: [8],
+    430: [7, 8],
+    440: [7],
+    450: [6],
+    460: [6],
+    470: [5],
+    480: [4, 5],
+    490: [4]
+  },
+  1120: {
+    0: [31],
+    10: [31],
+    20: [30],
+    30: [30],
+    40: [29],
+    50: [29],
+    60: [28],
+    70: [28],
+    80: [27],
+    90: [27],
+    100: [26],
+    110: [25, 26],
+    120: [25],
+    130: [24],
+    140: [24],
+    150: [23],
+    160: [23],
+    170: [22],
+    180: [22],
+    190: [21],
+    200: [21],
+    210: [20],
+    220: [19, 20],
+    230: [19],
+    240: [18],
+    250: [18],
+    260: [17],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [12],
+    370: [11],
+    380: [10],
+    390: [10],
+    400: [9],
+    410: [9],
+    420: [8],
+    430: [7, 8],
+    440: [7],
+    450: [6],
+    460: [6],
+    470: [5],
+    480: [5],
+    490: [4]
+  },
+  1130: {
+    0: [31],
+    10: [31],
+    20: [30],
+    30: [30],
+    40: [29],
+    50: [29],
+    60: [28],
+    70: [27, 28],
+    80: [27],
+    90: [26],
+    100: [26],
+    110: [25],
+    120: [25],
+    130: [24],
+    140: [24],
+    150: [23],
+    160: [23],
+    170: [22],
+    180: [22],
+    190: [21],
+    200: [21],
+    210: [20],
+    220: [19],
+    230: [19],
+    240: [18],
+    250: [18],
+    260: [17],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [12],
+    370: [11],
+    380: [10, 11],
+    390: [10],
+    400: [9],
+    410: [9],
+    420: [8],
+    430: [8],
+    440: [7],
+    450: [6],
+    460: [6],
+    470: [5],
+    480: [5],
+    490: [4],
+    500: [4]
+  },
+  1140: {
+    0: [31],
+    10: [30],
+    20: [30],
+    30: [29],
+    40: [29],
+    50: [28],
+    60: [28],
+    70: [27],
+    80: [27],
+    90: [26],
+    100: [26],
+    110: [25],
+    120: [25],
+    130: [24],
+    140: [24],
+    150: [23],
+    160: [23],
+    170: [22],
+    180: [22],
+    190: [21],
+    200: [20, 21],
+    210: [20],
+    220: [19],
+    230: [19],
+    240: [18],
+    250: [18],
+    260: [17],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [12],
+    370: [11],
+    380: [10, 11],
+    390: [10],
+    400: [9],
+    410: [9],
+    420: [8],
+    430: [8],
+    440: [7],
+    450: [6, 7],
+    460: [6],
+    470: [5],
+    480: [5]
+  },
+  1150: {
+    0: [31],
+    10: [30],
+    20: [30],
+    30: [29],
+    40: [29],
+    50: [28],
+    60: [28],
+    70: [27],
+    80: [27],
+    90: [26],
+    100: [26],
+    110: [25],
+    120: [25],
+    130: [24],
+    140: [24],
+    150: [23],
+    160: [23],
+    170: [22],
+    180: [22],
+    190: [21],
+    200: [20],
+    210: [20],
+    220: [19],
+    230: [19],
+    240: [18],
+    250: [18],
+    260: [17],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [12],
+    370: [11],
+    380: [11],
+    390: [10],
+    400: [9],
+    410: [9],
+    420: [8],
+    430: [8],
+    440: [7],
+    450: [7],
+    460: [6],
+    470: [5],
+    480: [5]
+  },
+  1160: {
+    0: [31],
+    10: [30],
+    20: [30],
+    30: [29],
+    40: [29],
+    50: [28],
+    60: [28],
+    70: [27],
+    80: [27],
+    90: [26],
+    100: [26],
+    110: [25],
+    120: [25],
+    130: [24],
+    140: [24],
+    150: [23],
+    160: [23],
+    170: [22],
+    180: [21],
+    190: [21],
+    200: [20],
+    210: [20],
+    220: [19],
+    230: [19],
+    240: [18],
+    250: [18],
+    260: [17],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [12],
+    370: [11],
+    380: [11],
+    390: [10],
+    400: [9],
+    410: [9],
+    420: [8],
+    430: [8],
+    440: [7],
+    450: [7],
+    460: [6],
+    470: [5, 6],
+    480: [5]
+  },
+  1170: {
+    0: [31],
+    10: [30],
+    20: [30],
+    30: [29],
+    40: [29],
+    50: [28],
+    60: [28],
+    70: [27],
+    80: [27],
+    90: [26],
+    100: [26],
+    110: [25],
+    120: [25],
+    130: [24],
+    140: [24],
+    150: [23],
+    160: [22, 23],
+    170: [22],
+    180: [21],
+    190: [21],
+    200: [20],
+    210: [20],
+    220: [19],
+    230: [19],
+    240: [18],
+    250: [18],
+    260: [17],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [12],
+    370: [11],
+    380: [11],
+    390: [10],
+    400: [9, 10],
+    410: [9],
+    420: [8],
+    430: [8],
+    440: [7],
+    450: [7],
+    460: [6],
+    470: [6],
+    480: [5],
+    490: [5]
+  },
+  1180: {
+    0: [31],
+    10: [30],
+    20: [30],
+    30: [29],
+    40: [29],
+    50: [28],
+    60: [28],
+    70: [27],
+    80: [27],
+    90: [26],
+    100: [26],
+    110: [25],
+    120: [25],
+    130: [24],
+    140: [23, 24],
+    150: [23],
+    160: [22],
+    170: [22],
+    180: [21],
+    190: [21],
+    200: [20],
+    210: [20],
+    220: [19],
+    230: [19],
+    240: [18],
+    250: [18],
+    260: [17],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14, 15],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [12],
+    370: [11],
+    380: [11],
+    390: [10],
+    400: [10],
+    410: [9],
+    420: [8],
+    430: [8],
+    440: [7],
+    450: [7],
+    460: [6],
+    470: [6],
+    480: [5],
+    490: [5]
+  },
+  1190: {
+    10: [30],
+    20: [30],
+    30: [29],
+    40: [29],
+    50: [28],
+    60: [28],
+    70: [27],
+    80: [27],
+    90: [26],
+    110: [25],
+    120: [24],
+    130: [24],
+    140: [23],
+    150: [23],
+    160: [22],
+    170: [22],
+    180: [21],
+    190: [21],
+    200: [20],
+    210: [20],
+    220: [19],
+    230: [19],
+    240: [18],
+    250: [18],
+    260: [17],
+    270: [17],
+    280: [16],
+    290: [16],
+    300: [15],
+    310: [14, 15],
+    320: [14],
+    330: [13],
+    340: [13],
+    350: [12],
+    360: [12],
+    370: [11],
+    380: [11],
+    390: [10],
+    400: [10],
+    410: [9],
+    420: [8, 9],
+    430: [8],
+    440: [7],
+    450: [7],
+    460: [6],
+    470: [6],
+    480: [5],
+    490: [5]
+  }
+};
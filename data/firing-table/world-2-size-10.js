@@ -1,5 +1,6 @@
 // Firing Table Data for World 2
-// Generated on 2025-08-04T21:30:19.578Z
+// Cannonball size level 10 (radius 16.0px)
+// Generated on 2026-10-19T18:31:49.702Z
 export default {
   0: {
     0: [102, 103, 104, 105],
@@ -43,32 +44,16 @@ export default {
     380: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
     390: [139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
     400: [141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
-    410: [
-      144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158,
-    ],
-    420: [
-      148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162,
-    ],
+    410: [144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    420: [148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
     430: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
-    440: [
-      156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170,
-      171,
-    ],
-    450: [
-      160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174,
-      175, 176,
-    ],
-    460: [
-      165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179,
-      180, 181,
-    ],
-    470: [
-      169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183,
-      184,
-    ],
+    440: [156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    450: [160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    460: [165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    470: [169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
     480: [174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
     490: [179, 180, 181, 182, 183, 184],
-    500: [184],
+    500: [184]
   },
   10: {
     0: [101, 102, 103, 104],
@@ -110,38 +95,17 @@ export default {
     360: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
     370: [130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
     380: [133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
-    390: [
-      135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149,
-    ],
-    400: [
-      138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152,
-    ],
+    390: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    400: [138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
     410: [143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
-    420: [
-      146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160,
-      161,
-    ],
-    430: [
-      149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163,
-      164, 165, 166,
-    ],
-    440: [
-      154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168,
-      169, 170,
-    ],
-    450: [
-      159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173,
-      174, 175,
-    ],
-    460: [
-      164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178,
-      179, 180,
-    ],
-    470: [
-      170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184,
-    ],
+    420: [146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    430: [149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    440: [154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    450: [159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    460: [164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
     480: [175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
-    490: [180, 181, 182, 183, 184, 185],
+    490: [180, 181, 182, 183, 184, 185]
   },
   20: {
     0: [100, 101, 102, 103],
@@ -182,44 +146,19 @@ export default {
     350: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
     360: [125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
     370: [127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
-    380: [
-      129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143,
-    ],
+    380: [129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
     390: [133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
-    400: [
-      136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150,
-    ],
-    410: [
-      139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153,
-      154, 155,
-    ],
-    420: [
-      143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157,
-      158, 159,
-    ],
-    430: [
-      148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162,
-      163,
-    ],
-    440: [
-      152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166,
-      167, 168, 169,
-    ],
-    450: [
-      156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170,
-      171, 172, 173, 174, 175,
-    ],
-    460: [
-      162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176,
-      177, 178, 179, 180, 181,
-    ],
-    470: [
-      167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181,
-      182, 183, 184, 185,
-    ],
+    400: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    410: [139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    420: [143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    430: [148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    440: [152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    450: [156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    460: [162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    470: [167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
     480: [173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
     490: [179, 180, 181, 182, 183, 184, 185],
-    500: [184, 185],
+    500: [184, 185]
   },
   30: {
     0: [99, 100, 101, 102],
@@ -259,50 +198,19 @@ export default {
     340: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
     350: [119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
     360: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
-    370: [
-      123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137,
-    ],
-    380: [
-      126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140,
-    ],
-    390: [
-      129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143,
-      144,
-    ],
-    400: [
-      132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146,
-      147, 148,
-    ],
-    410: [
-      136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150,
-      151, 152,
-    ],
-    420: [
-      140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154,
-      155, 156, 157,
-    ],
-    430: [
-      144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158,
-      159, 160, 161, 162, 163,
-    ],
-    440: [
-      149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163,
-      164, 165, 166, 167, 168, 169,
-    ],
-    450: [
-      155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169,
-      170, 171, 172, 173, 174,
-    ],
-    460: [
-      161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175,
-      176, 177, 178, 179, 180,
-    ],
-    470: [
-      167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181,
-      182, 183, 184, 185, 186,
-    ],
+    370: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    380: [126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    390: [129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    400: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    410: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    420: [140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    430: [144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    440: [149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    450: [155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
     480: [174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
-    490: [180, 181, 182, 183, 184, 185, 186],
+    490: [180, 181, 182, 183, 184, 185, 186]
   },
   40: {
     0: [98, 99, 100, 101],
@@ -342,54 +250,20 @@ export default {
     340: [114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
     350: [117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
     360: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
-    370: [
-      120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134,
-    ],
-    380: [
-      123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137,
-    ],
-    390: [
-      125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139,
-      140, 141,
-    ],
-    400: [
-      129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143,
-      144,
-    ],
-    410: [
-      131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145,
-      146, 147, 148, 149, 150,
-    ],
-    420: [
-      135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149,
-      150, 151, 152, 153, 154, 155,
-    ],
-    430: [
-      141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155,
-      156, 157, 158, 159, 160,
-    ],
-    440: [
-      146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160,
-      161, 162, 163, 164, 165, 166, 167,
-    ],
-    450: [
-      151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165,
-      166, 167, 168, 169, 170, 171, 172, 173, 174,
-    ],
-    460: [
-      157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171,
-      172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182,
-    ],
-    470: [
-      164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178,
-      179, 180, 181, 182, 183, 184, 185, 186,
-    ],
-    480: [
-      171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185,
-      186,
-    ],
+    370: [120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    380: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    390: [125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    400: [129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    410: [131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    420: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    430: [141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    440: [146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167],
+    450: [151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    470: [164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    480: [171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
     490: [178, 179, 180, 181, 182, 183, 184, 185, 186],
-    500: [185, 186],
+    500: [185, 186]
   },
   50: {
     0: [97, 98, 99, 100],
@@ -428,57 +302,20 @@ export default {
     330: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
     340: [111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
     350: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
-    360: [
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128,
-    ],
-    370: [
-      117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131,
-    ],
-    380: [
-      118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132,
-      133, 134,
-    ],
-    390: [
-      122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136,
-      137,
-    ],
-    400: [
-      123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137,
-      138, 139, 140, 141, 142,
-    ],
-    410: [
-      127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141,
-      142, 143, 144, 145, 146, 147,
-    ],
-    420: [
-      132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146,
-      147, 148, 149, 150, 151, 152,
-    ],
-    430: [
-      135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149,
-      150, 151, 152, 153, 154, 155, 156, 157, 158, 159,
-    ],
-    440: [
-      141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155,
-      156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166,
-    ],
-    450: [
-      148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162,
-      163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173,
-    ],
-    460: [
-      156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170,
-      171, 172, 173, 174, 175, 176, 177, 178, 179, 180,
-    ],
-    470: [
-      163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177,
-      178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188,
-    ],
-    480: [
-      172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186,
-      187, 188,
-    ],
-    490: [180, 181, 182, 183, 184, 185, 186, 187, 188],
+    360: [114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    370: [117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    380: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    390: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    400: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    410: [127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    420: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    430: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    440: [141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [180, 181, 182, 183, 184, 185, 186, 187, 188]
   },
   60: {
     0: [95, 96, 97, 98, 99],
@@ -518,59 +355,20 @@ export default {
     340: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
     350: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
     360: [111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
-    370: [
-      112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126,
-      127, 128,
-    ],
-    380: [
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128,
-      129, 130,
-    ],
-    390: [
-      116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130,
-      131, 132, 133, 134,
-    ],
-    400: [
-      119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133,
-      134, 135, 136, 137, 138, 139,
-    ],
-    410: [
-      123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137,
-      138, 139, 140, 141, 142, 143,
-    ],
-    420: [
-      125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139,
-      140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150,
-    ],
-    430: [
-      131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145,
-      146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156,
-    ],
-    440: [
-      137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151,
-      152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163,
-    ],
-    450: [
-      142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156,
-      157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171,
-      172, 173,
-    ],
-    460: [
-      150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164,
-      165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179,
-      180, 181, 182,
-    ],
-    470: [
-      158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172,
-      173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187,
-      188,
-    ],
-    480: [
-      168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182,
-      183, 184, 185, 186, 187, 188,
-    ],
+    370: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    380: [114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    390: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    400: [119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    410: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    420: [125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    430: [131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    440: [137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    470: [158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
     490: [178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
-    500: [187, 188],
+    500: [187, 188]
   },
   70: {
     0: [94, 95, 96, 97],
@@ -608,65 +406,21 @@ export default {
     320: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
     330: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
     340: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
-    350: [
-      105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119,
-    ],
-    360: [
-      106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120,
-      121,
-    ],
-    370: [
-      107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121,
-      122, 123, 124,
-    ],
-    380: [
-      109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123,
-      124, 125, 126,
-    ],
-    390: [
-      110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124,
-      125, 126, 127, 128, 129, 130,
-    ],
-    400: [
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128,
-      129, 130, 131, 132, 133,
-    ],
-    410: [
-      115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129,
-      130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140,
-    ],
-    420: [
-      120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134,
-      135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145,
-    ],
-    430: [
-      124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138,
-      139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152,
-    ],
-    440: [
-      128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142,
-      143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157,
-      158, 159, 160, 161, 162,
-    ],
-    450: [
-      136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150,
-      151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165,
-      166, 167, 168, 169, 170,
-    ],
-    460: [
-      147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161,
-      162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176,
-      177, 178, 179, 180,
-    ],
-    470: [
-      159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173,
-      174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188,
-    ],
-    480: [
-      170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184,
-      185, 186, 187, 188,
-    ],
-    490: [180, 181, 182, 183, 184, 185, 186, 187, 188],
+    350: [105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    360: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    370: [107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    380: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    390: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    400: [114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    410: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    420: [120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    430: [124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    440: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    450: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [180, 181, 182, 183, 184, 185, 186, 187, 188]
   },
   80: {
     0: [93, 94, 95, 96],
@@ -704,52 +458,18 @@ export default {
     320: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
     330: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
     340: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
-    350: [
-      101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115,
-    ],
-    360: [
-      101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115,
-      116, 117,
-    ],
-    370: [
-      103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117,
-      118, 119,
-    ],
-    380: [
-      103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117,
-      118, 119, 120, 121, 122,
-    ],
-    390: [
-      105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119,
-      120, 121, 122, 123, 124, 125,
-    ],
-    400: [
-      107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121,
-      122, 123, 124, 125, 126, 127, 128, 129,
-    ],
-    410: [
-      109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123,
-      124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134,
-    ],
-    420: [
-      112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126,
-      127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140,
-    ],
-    430: [
-      115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129,
-      130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144,
-      145, 146, 147, 148,
-    ],
-    440: [
-      122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136,
-      137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151,
-      152, 153, 154, 155,
-    ],
-    450: [
-      135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149,
-      150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161,
-    ],
-    460: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    350: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    360: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    370: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    380: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    390: [105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    400: [107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    410: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    420: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    430: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    440: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    450: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    460: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165]
   },
   90: {
     0: [92, 93, 94, 95],
@@ -788,44 +508,15 @@ export default {
     330: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
     340: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
     350: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
-    360: [
-      96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110,
-      111, 112, 113,
-    ],
-    370: [
-      98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112,
-      113,
-    ],
-    380: [
-      98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112,
-      113, 114, 115, 116, 117,
-    ],
-    390: [
-      100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114,
-      115, 116, 117, 118, 119,
-    ],
-    400: [
-      99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113,
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124,
-    ],
-    410: [
-      103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117,
-      118, 119, 120, 121, 122, 123, 124, 125, 126, 127,
-    ],
-    420: [
-      102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116,
-      117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131,
-      132, 133, 134, 135,
-    ],
-    430: [
-      107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121,
-      122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136,
-      137, 138, 139, 140,
-    ],
-    440: [
-      118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132,
-      133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143,
-    ],
+    360: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    370: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    380: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    390: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    400: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    410: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    420: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    430: [107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    440: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143]
   },
   100: {
     0: [91, 92, 93, 94],
@@ -864,40 +555,14 @@ export default {
     330: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
     340: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
     350: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
-    360: [
-      92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107,
-      108,
-    ],
-    370: [
-      92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107,
-      108, 109,
-    ],
-    380: [
-      92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107,
-      108, 109, 110, 111, 112,
-    ],
-    390: [
-      93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108,
-      109, 110, 111, 112, 113, 114,
-    ],
-    400: [
-      92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107,
-      108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118,
-    ],
-    410: [
-      93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108,
-      109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121,
-    ],
-    420: [
-      93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108,
-      109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123,
-      124, 125, 126, 127,
-    ],
-    430: [
-      99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113,
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128,
-      129,
-    ],
+    360: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    370: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    380: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    390: [93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    400: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    410: [93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    420: [93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    430: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129]
   },
   110: {
     0: [90, 91, 92, 93],
@@ -936,38 +601,14 @@ export default {
     330: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
     340: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
     350: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
-    360: [
-      87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103,
-    ],
-    370: [
-      87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103,
-      104,
-    ],
-    380: [
-      86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102,
-      103, 104, 105, 106,
-    ],
-    390: [
-      85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102,
-      103, 104, 105, 106, 107, 108,
-    ],
-    400: [
-      85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102,
-      103, 104, 105, 106, 107, 108, 109, 110,
-    ],
-    410: [
-      84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101,
-      102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114,
-    ],
-    420: [
-      83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100,
-      101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115,
-      116, 117,
-    ],
-    430: [
-      90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106,
-      107, 108, 109, 110, 111, 112, 113, 114, 115,
-    ],
+    360: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    370: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    380: [86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    390: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    400: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    410: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    420: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    430: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115]
   },
   120: {
     0: [88, 89, 90, 91, 92],
@@ -1007,35 +648,13 @@ export default {
     340: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
     350: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
     360: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
-    370: [
-      81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98,
-      99,
-    ],
-    380: [
-      80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97,
-      98, 99, 100,
-    ],
-    390: [
-      79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96,
-      97, 98, 99, 100, 101,
-    ],
-    400: [
-      78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95,
-      96, 97, 98, 99, 100, 101, 102,
-    ],
-    410: [
-      75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92,
-      93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105,
-    ],
-    420: [
-      73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90,
-      91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106,
-      107,
-    ],
-    430: [
-      79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96,
-      97, 98, 99, 100, 101,
-    ],
+    370: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    380: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    390: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    400: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    410: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    420: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    430: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101]
   },
   130: {
     0: [87, 88, 89, 90],
@@ -1075,33 +694,13 @@ export default {
     340: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
     350: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
     360: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
-    370: [
-      76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93,
-    ],
-    380: [
-      74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91,
-      92, 93, 94,
-    ],
-    390: [
-      72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89,
-      90, 91, 92, 93, 94, 95,
-    ],
-    400: [
-      70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87,
-      88, 89, 90, 91, 92, 93, 94, 95,
-    ],
-    410: [
-      66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83,
-      84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96,
-    ],
-    420: [
-      63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80,
-      81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97,
-    ],
-    430: [
-      65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82,
-      83, 84, 85, 86, 87, 88, 89, 90,
-    ],
+    370: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    380: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94],
+    390: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    400: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    410: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    420: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    430: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90]
   },
   140: {
     0: [86, 87, 88, 89],
@@ -1141,33 +740,13 @@ export default {
     340: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     350: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
     360: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
-    370: [
-      71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88,
-    ],
-    380: [
-      68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85,
-      86, 87, 88,
-    ],
-    390: [
-      66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83,
-      84, 85, 86, 87,
-    ],
-    400: [
-      62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79,
-      80, 81, 82, 83, 84, 85, 86, 87, 88,
-    ],
-    410: [
-      59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76,
-      77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87,
-    ],
-    420: [
-      53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70,
-      71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87,
-    ],
-    430: [
-      51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68,
-      69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81,
-    ],
+    370: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    380: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    390: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87],
+    400: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    410: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87],
+    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87],
+    430: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81]
   },
   150: {
     0: [85, 86, 87, 88],
@@ -1206,38 +785,15 @@ export default {
     330: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
     340: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
     350: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
-    360: [
-      67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84,
-    ],
+    360: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
     370: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
-    380: [
-      63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80,
-      81, 82,
-    ],
-    390: [
-      61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78,
-      79, 80,
-    ],
-    400: [
-      56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73,
-      74, 75, 76, 77, 78, 79, 80, 81,
-    ],
-    410: [
-      53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70,
-      71, 72, 73, 74, 75, 76, 77,
-    ],
-    420: [
-      45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62,
-      63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78,
-    ],
-    430: [
-      40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57,
-      58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73,
-    ],
-    440: [
-      37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54,
-      55, 56, 57, 58, 59, 60, 61, 62,
-    ],
+    380: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
+    390: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
+    400: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
+    410: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
+    420: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
+    430: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
+    440: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62]
   },
   160: {
     0: [84, 85, 86, 87],
@@ -1278,39 +834,15 @@ export default {
     350: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
     360: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
     370: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
-    380: [
-      58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75,
-      76, 77,
-    ],
-    390: [
-      55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72,
-      73, 74, 75,
-    ],
-    400: [
-      51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68,
-      69, 70, 71, 72, 73,
-    ],
-    410: [
-      46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63,
-      64, 65, 66, 67, 68, 69, 70, 71,
-    ],
-    420: [
-      40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57,
-      58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68,
-    ],
-    430: [
-      32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49,
-      50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65,
-    ],
-    440: [
-      25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42,
-      43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58,
-    ],
-    450: [
-      19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
-      37, 38, 39, 40, 41, 42, 43, 44, 45,
-    ],
-    460: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27],
+    380: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
+    390: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75],
+    400: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
+    410: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
+    420: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    440: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    450: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    460: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27]
   },
   170: {
     0: [83, 84, 85, 86],
@@ -1350,52 +882,19 @@ export default {
     340: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
     350: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75],
     360: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
-    370: [
-      56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73,
-    ],
-    380: [
-      54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71,
-    ],
-    390: [
-      50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67,
-      68, 69, 70,
-    ],
-    400: [
-      47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64,
-      65, 66,
-    ],
-    410: [
-      40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57,
-      58, 59, 60, 61, 62, 63, 64, 65,
-    ],
-    420: [
-      35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52,
-      53, 54, 55, 56, 57, 58, 59, 60,
-    ],
-    430: [
-      28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45,
-      46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56,
-    ],
-    440: [
-      18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35,
-      36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52,
-    ],
-    450: [
-      10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27,
-      28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44,
-    ],
-    460: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 352, 353, 354, 355, 356, 357, 358, 359,
-    ],
-    480: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 352, 353, 354, 355, 356, 357, 358, 359,
-    ],
-    490: [0, 352, 353, 354, 355, 356, 357, 358, 359],
+    370: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
+    380: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
+    390: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    400: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    410: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    420: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    430: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    440: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 352, 353, 354, 355, 356, 357, 358, 359]
   },
   180: {
     0: [81, 82, 83, 84, 85],
@@ -1437,48 +936,18 @@ export default {
     360: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
     370: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
     380: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
-    390: [
-      46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63,
-      64,
-    ],
-    400: [
-      41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58,
-      59, 60, 61,
-    ],
-    410: [
-      37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54,
-      55, 56, 57,
-    ],
-    420: [
-      30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47,
-      48, 49, 50, 51, 52, 53, 54, 55,
-    ],
-    430: [
-      24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41,
-      42, 43, 44, 45, 46, 47, 48, 49,
-    ],
-    440: [
-      17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34,
-      35, 36, 37, 38, 39, 40, 41, 42, 43,
-    ],
-    450: [
-      7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25,
-      26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38,
-    ],
-    460: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 358, 359,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 352, 353, 354, 355, 356, 357, 358, 359,
-    ],
-    480: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 352, 353, 354, 355, 356, 357,
-      358, 359,
-    ],
+    390: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    400: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    410: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    420: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    430: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 358, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 352, 353, 354, 355, 356, 357, 358, 359],
     490: [0, 1, 2, 352, 353, 354, 355, 356, 357, 358, 359],
-    500: [352, 353],
+    500: [352, 353]
   },
   190: {
     0: [80, 81, 82, 83],
@@ -1521,40 +990,16 @@ export default {
     370: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
     380: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
     390: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
-    400: [
-      38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55,
-      56, 57,
-    ],
-    410: [
-      33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50,
-      51, 52, 53,
-    ],
-    420: [
-      28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45,
-      46, 47, 48,
-    ],
-    430: [
-      21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38,
-      39, 40, 41, 42, 43, 44, 45,
-    ],
-    440: [
-      14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31,
-      32, 33, 34, 35, 36, 37, 38, 39,
-    ],
-    450: [
-      7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25,
-      26, 27, 28, 29, 30, 31, 32,
-    ],
-    460: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 24,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 352, 353,
-      354, 355, 356, 357, 358, 359,
-    ],
+    400: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    420: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    430: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 352, 353, 354, 355, 356, 357, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 352, 353, 354, 355, 356, 357, 358, 359],
-    490: [0, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 352, 353, 354, 355, 356, 357, 358, 359]
   },
   200: {
     0: [79, 80, 81, 82],
@@ -1598,37 +1043,16 @@ export default {
     380: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
     390: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
     400: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
-    410: [
-      30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47,
-      48, 49,
-    ],
-    420: [
-      25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42,
-      43, 44, 45,
-    ],
-    430: [
-      20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37,
-      38, 39,
-    ],
-    440: [
-      13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30,
-      31, 32, 33, 34,
-    ],
-    450: [
-      6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24,
-      25, 26, 27, 28, 29,
-    ],
-    460: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 358, 359,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 354, 355, 356,
-      357, 358, 359,
-    ],
+    410: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    420: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    430: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39],
+    440: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 358, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 354, 355, 356, 357, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 354, 355, 356, 357, 358, 359],
     490: [0, 1, 2, 354, 355, 356, 357, 358, 359],
-    500: [354, 355],
+    500: [354, 355]
   },
   210: {
     0: [78, 79, 80, 81],
@@ -1673,28 +1097,14 @@ export default {
     390: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
     400: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
     410: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
-    420: [
-      23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40,
-    ],
-    430: [
-      17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34,
-      35, 36,
-    ],
-    440: [
-      11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28,
-      29, 30, 31,
-    ],
-    450: [
-      6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24,
-      25,
-    ],
+    420: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40],
+    430: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25],
     460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 354, 355, 356, 357, 358,
-      359,
-    ],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 354, 355, 356, 357, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 6, 354, 355, 356, 357, 358, 359],
-    490: [0, 354, 355, 356, 357, 358, 359],
+    490: [0, 354, 355, 356, 357, 358, 359]
   },
   220: {
     0: [77, 78, 79, 80],
@@ -1741,21 +1151,13 @@ export default {
     410: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
     420: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
     430: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
-    440: [
-      11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28,
-    ],
-    450: [
-      5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24,
-    ],
-    460: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 359,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 355, 356, 357, 358, 359,
-    ],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 355, 356, 357, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 6, 7, 355, 356, 357, 358, 359],
     490: [0, 1, 355, 356, 357, 358, 359],
-    500: [355, 356],
+    500: [355, 356]
   },
   230: {
     0: [76, 77, 78, 79],
@@ -1801,15 +1203,13 @@ export default {
     400: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
     410: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
     420: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34],
-    430: [
-      14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31,
-    ],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31],
     440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26],
     450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21],
     460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 356, 357, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 355, 356, 357, 358, 359],
-    490: [0, 355, 356, 357, 358, 359],
+    490: [0, 355, 356, 357, 358, 359]
   },
   240: {
     0: [75, 76, 77, 78],
@@ -1862,7 +1262,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 356, 357, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 6, 356, 357, 358, 359],
     490: [0, 1, 356, 357, 358, 359],
-    500: [356],
+    500: [356]
   },
   250: {
     0: [74, 75, 76, 77],
@@ -1914,7 +1314,7 @@ export default {
     460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 357, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 356, 357, 358, 359],
-    490: [0, 356, 357, 358, 359],
+    490: [0, 356, 357, 358, 359]
   },
   260: {
     0: [73, 74, 75, 76],
@@ -1967,7 +1367,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 357, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 357, 358, 359],
     490: [0, 1, 357, 358, 359],
-    500: [357],
+    500: [357]
   },
   270: {
     0: [72, 73, 74, 75],
@@ -2019,7 +1419,7 @@ export default {
     460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 358, 359],
     480: [0, 1, 2, 3, 4, 357, 358, 359],
-    490: [0, 1, 357, 358, 359],
+    490: [0, 1, 357, 358, 359]
   },
   280: {
     0: [71, 72, 73],
@@ -2071,7 +1471,7 @@ export default {
     460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 358, 359],
     480: [0, 1, 2, 3, 4, 358, 359],
-    490: [0, 1, 358, 359],
+    490: [0, 1, 358, 359]
   },
   290: {
     0: [70, 71, 72],
@@ -2123,7 +1523,7 @@ export default {
     460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 358, 359],
     480: [0, 1, 2, 3, 4, 358, 359],
-    490: [0, 1, 358, 359],
+    490: [0, 1, 358, 359]
   },
   300: {
     0: [68, 69, 70, 71],
@@ -2175,7 +1575,7 @@ export default {
     460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 358, 359],
     480: [0, 1, 2, 3, 4, 358, 359],
-    490: [0, 1, 358, 359],
+    490: [0, 1, 358, 359]
   },
   310: {
     0: [67, 68, 69, 70],
@@ -2228,7 +1628,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 358, 359],
     480: [0, 1, 2, 3, 4, 358, 359],
     490: [0, 1, 358, 359],
-    500: [358],
+    500: [358]
   },
   320: {
     0: [67, 68, 69],
@@ -2280,7 +1680,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6, 7, 8, 9],
     470: [0, 1, 2, 3, 4, 5, 6, 358, 359],
     480: [0, 1, 2, 3, 358, 359],
-    490: [0, 358, 359],
+    490: [0, 358, 359]
   },
   330: {
     0: [66, 67, 68],
@@ -2332,7 +1732,7 @@ export default {
     460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
     470: [0, 1, 2, 3, 4, 5, 6, 359],
     480: [0, 1, 2, 3, 4, 358, 359],
-    490: [0, 1, 359],
+    490: [0, 1, 359]
   },
   340: {
     0: [65, 66, 67],
@@ -2384,7 +1784,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6, 7, 8],
     470: [0, 1, 2, 3, 4, 5, 6, 359],
     480: [0, 1, 2, 3, 359],
-    490: [0, 359],
+    490: [0, 359]
   },
   350: {
     0: [64, 65, 66],
@@ -2436,7 +1836,7 @@ export default {
     460: [0, 1, 2, 3, 4, 5, 6, 7, 8],
     470: [0, 1, 2, 3, 4, 5, 6, 359],
     480: [0, 1, 2, 3, 359],
-    490: [0, 1, 359],
+    490: [0, 1, 359]
   },
   360: {
     0: [63, 64, 65],
@@ -2488,7 +1888,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6, 7, 8],
     470: [0, 1, 2, 3, 4, 5, 359],
     480: [0, 1, 2, 3, 359],
-    490: [0, 1, 359],
+    490: [0, 1, 359]
   },
   370: {
     0: [62, 63, 64, 65],
@@ -2541,7 +1941,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 359],
     480: [0, 1, 2, 3, 359],
     490: [0, 1, 359],
-    500: [359],
+    500: [359]
   },
   380: {
     0: [61, 62, 63, 64],
@@ -2594,7 +1994,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 359],
     480: [0, 1, 2, 3, 359],
     490: [0, 1, 359],
-    500: [359],
+    500: [359]
   },
   390: {
     0: [60, 61, 62, 63],
@@ -2647,7 +2047,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 359],
     480: [0, 1, 2, 3, 359],
     490: [0, 1, 359],
-    500: [359],
+    500: [359]
   },
   400: {
     0: [59, 60, 61, 62],
@@ -2699,7 +2099,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6, 7],
     470: [0, 1, 2, 3, 4, 5],
     480: [0, 1, 2, 3, 359],
-    490: [0, 1, 359],
+    490: [0, 1, 359]
   },
   410: {
     0: [58, 59, 60, 61],
@@ -2751,7 +2151,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6],
     470: [0, 1, 2, 3, 4, 5],
     480: [0, 1, 2, 3],
-    490: [0, 1],
+    490: [0, 1]
   },
   420: {
     0: [58, 59, 60],
@@ -2803,7 +2203,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6, 7],
     470: [0, 1, 2, 3, 4, 5],
     480: [0, 1, 2, 3],
-    490: [0, 1],
+    490: [0, 1]
   },
   430: {
     0: [57, 58, 59],
@@ -2855,7 +2255,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6],
     470: [0, 1, 2, 3, 4],
     480: [0, 1, 2, 3],
-    490: [0, 1],
+    490: [0, 1]
   },
   440: {
     0: [56, 57, 58],
@@ -2907,7 +2307,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6],
     470: [0, 1, 2, 3, 4, 5],
     480: [0, 1, 2, 3],
-    490: [0, 1],
+    490: [0, 1]
   },
   450: {
     0: [55, 56, 57, 58],
@@ -2959,7 +2359,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6],
     470: [0, 1, 2, 3, 4],
     480: [0, 1, 2, 3],
-    490: [0, 1],
+    490: [0, 1]
   },
   460: {
     0: [55, 56, 57],
@@ -3011,7 +2411,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6],
     470: [0, 1, 2, 3, 4],
     480: [0, 1, 2, 3],
-    490: [0, 1],
+    490: [0, 1]
   },
   470: {
     0: [54, 55, 56],
@@ -3063,7 +2463,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6],
     470: [0, 1, 2, 3, 4],
     480: [0, 1, 2, 3],
-    490: [0, 1],
+    490: [0, 1]
   },
   480: {
     0: [53, 54, 55],
@@ -3115,7 +2515,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6],
     470: [0, 1, 2, 3, 4],
     480: [0, 1, 2],
-    490: [0, 1],
+    490: [0, 1]
   },
   490: {
     0: [52, 53, 54, 55],
@@ -3168,7 +2568,7 @@ export default {
     470: [0, 1, 2, 3, 4],
     480: [0, 1, 2, 3],
     490: [0, 1],
-    500: [0],
+    500: [0]
   },
   500: {
     0: [52, 53, 54],
@@ -3221,7 +2621,7 @@ export default {
     470: [0, 1, 2, 3, 4],
     480: [0, 1, 2, 3],
     490: [0, 1],
-    500: [0],
+    500: [0]
   },
   510: {
     0: [51, 52, 53],
@@ -3274,7 +2674,7 @@ export default {
     470: [0, 1, 2, 3, 4],
     480: [0, 1, 2, 3],
     490: [0, 1],
-    500: [0],
+    500: [0]
   },
   520: {
     0: [50, 51, 52, 53],
@@ -3326,7 +2726,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6],
     470: [1, 2, 3, 4],
     480: [0, 1, 2, 3],
-    490: [0, 1],
+    490: [0, 1]
   },
   530: {
     0: [50, 51, 52],
@@ -3378,7 +2778,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [1, 2, 3, 4],
     480: [1, 2, 3],
-    490: [1],
+    490: [1]
   },
   540: {
     0: [49, 50, 51],
@@ -3430,7 +2830,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [1, 2, 3, 4],
     480: [1, 2, 3],
-    490: [1],
+    490: [1]
   },
   550: {
     0: [49, 50, 51],
@@ -3482,7 +2882,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [1, 2, 3, 4],
     480: [1, 2, 3],
-    490: [1],
+    490: [1]
   },
   560: {
     0: [48, 49, 50],
@@ -3534,7 +2934,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [1, 2, 3, 4],
     480: [1, 2],
-    490: [1],
+    490: [1]
   },
   570: {
     0: [47, 48, 49],
@@ -3586,7 +2986,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [1, 2, 3, 4],
     480: [1, 2, 3],
-    490: [1],
+    490: [1]
   },
   580: {
     0: [47, 48, 49],
@@ -3638,7 +3038,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [1, 2, 3, 4],
     480: [1, 2, 3],
-    490: [1],
+    490: [1]
   },
   590: {
     0: [46, 47, 48],
@@ -3690,7 +3090,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [1, 2, 3, 4],
     480: [1, 2, 3],
-    490: [1],
+    490: [1]
   },
   600: {
     0: [46, 47, 48],
@@ -3742,7 +3142,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [1, 2, 3, 4],
     480: [1, 2, 3],
-    490: [1, 2],
+    490: [1, 2]
   },
   610: {
     0: [45, 46, 47],
@@ -3794,7 +3194,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [1, 2, 3, 4],
     480: [1, 2, 3],
-    490: [1, 2],
+    490: [1, 2]
   },
   620: {
     0: [45, 46, 47],
@@ -3846,7 +3246,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [1, 2, 3, 4],
     480: [1, 2, 3],
-    490: [1, 2],
+    490: [1, 2]
   },
   630: {
     0: [44, 45, 46],
@@ -3899,7 +3299,7 @@ export default {
     470: [1, 2, 3, 4],
     480: [1, 2, 3],
     490: [1, 2],
-    500: [1],
+    500: [1]
   },
   640: {
     0: [44, 45, 46],
@@ -3952,7 +3352,7 @@ export default {
     470: [1, 2, 3, 4],
     480: [1, 2, 3],
     490: [1, 2],
-    500: [1],
+    500: [1]
   },
   650: {
     0: [43, 44, 45],
@@ -4005,7 +3405,7 @@ export default {
     470: [1, 2, 3, 4],
     480: [1, 2, 3],
     490: [1, 2],
-    500: [1],
+    500: [1]
   },
   660: {
     0: [43, 44, 45],
@@ -4057,7 +3457,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [2, 3, 4],
     480: [1, 2, 3],
-    490: [1, 2],
+    490: [1, 2]
   },
   670: {
     0: [42, 43, 44],
@@ -4109,7 +3509,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [2, 3, 4],
     480: [2, 3],
-    490: [2],
+    490: [2]
   },
   680: {
     0: [42, 43, 44],
@@ -4161,7 +3561,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [2, 3, 4],
     480: [2, 3],
-    490: [2],
+    490: [2]
   },
   690: {
     0: [42, 43],
@@ -4213,7 +3613,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [2, 3, 4],
     480: [2, 3],
-    490: [2],
+    490: [2]
   },
   700: {
     0: [41, 42, 43],
@@ -4265,7 +3665,7 @@ export default {
     460: [2, 3, 4, 5],
     470: [2, 3, 4],
     480: [2, 3],
-    490: [2],
+    490: [2]
   },
   710: {
     0: [41, 42],
@@ -4317,7 +3717,7 @@ export default {
     460: [3, 4, 5],
     470: [2, 3, 4],
     480: [2, 3],
-    490: [2],
+    490: [2]
   },
   720: {
     0: [40, 41, 42],
@@ -4369,7 +3769,7 @@ export default {
     460: [3, 4, 5],
     470: [2, 3, 4],
     480: [2, 3],
-    490: [2],
+    490: [2]
   },
   730: {
     0: [40, 41],
@@ -4421,7 +3821,7 @@ export default {
     460: [3, 4, 5],
     470: [2, 3, 4],
     480: [2, 3],
-    490: [2],
+    490: [2]
   },
   740: {
     0: [39, 40, 41],
@@ -4473,7 +3873,7 @@ export default {
     460: [3, 4, 5],
     470: [2, 3, 4],
     480: [2, 3],
-    490: [2],
+    490: [2]
   },
   750: {
     0: [39, 40, 41],
@@ -4525,7 +3925,7 @@ export default {
     460: [3, 4, 5],
     470: [2, 3, 4],
     480: [2, 3],
-    490: [2],
+    490: [2]
   },
   760: {
     0: [39, 40],
@@ -4577,7 +3977,7 @@ export default {
     460: [3, 4, 5],
     470: [2, 3, 4],
     480: [2, 3],
-    490: [2],
+    490: [2]
   },
   770: {
     0: [38, 39, 40],
@@ -4629,7 +4029,7 @@ export default {
     460: [3, 4, 5],
     470: [2, 3, 4],
     480: [2, 3],
-    490: [2],
+    490: [2]
   },
   780: {
     0: [38, 39],
@@ -4681,7 +4081,7 @@ export default {
     460: [3, 4, 5],
     470: [2, 3, 4],
     480: [2, 3],
-    490: [2],
+    490: [2]
   },
   790: {
     0: [38, 39],
@@ -4734,7 +4134,7 @@ export default {
     470: [2, 3, 4],
     480: [2, 3],
     490: [2],
-    500: [2],
+    500: [2]
   },
   800: {
     0: [37, 38, 39],
@@ -4787,7 +4187,7 @@ export default {
     470: [2, 3, 4],
     480: [2, 3],
     490: [2],
-    500: [2],
+    500: [2]
   },
   810: {
     0: [37, 38],
@@ -4839,7 +4239,7 @@ export default {
     460: [3, 4, 5],
     470: [2, 3, 4],
     480: [2, 3],
-    490: [2, 3],
+    490: [2, 3]
   },
   820: {
     0: [37, 38],
@@ -4890,7 +4290,7 @@ export default {
     450: [4, 5, 6],
     460: [3, 4, 5],
     470: [3, 4],
-    480: [3],
+    480: [3]
   },
   830: {
     0: [37, 38],
@@ -4942,7 +4342,7 @@ export default {
     460: [3, 4, 5],
     470: [3, 4],
     480: [3],
-    490: [3],
+    490: [3]
   },
   840: {
     0: [36, 37, 38],
@@ -4994,7 +4394,7 @@ export default {
     460: [3, 4, 5],
     470: [3, 4],
     480: [3, 4],
-    490: [3],
+    490: [3]
   },
   850: {
     0: [36, 37],
@@ -5046,7 +4446,7 @@ export default {
     460: [3, 4, 5],
     470: [3, 4],
     480: [3, 4],
-    490: [3],
+    490: [3]
   },
   860: {
     0: [36, 37],
@@ -5098,7 +4498,7 @@ export default {
     460: [3, 4, 5],
     470: [3, 4],
     480: [3, 4],
-    490: [3],
+    490: [3]
   },
   870: {
     0: [35, 36, 37],
@@ -5150,7 +4550,7 @@ export default {
     460: [3, 4, 5],
     470: [3, 4],
     480: [3, 4],
-    490: [3],
+    490: [3]
   },
   880: {
     0: [35, 36],
@@ -5202,7 +4602,7 @@ export default {
     460: [3, 4, 5],
     470: [3, 4],
     480: [3, 4],
-    490: [3],
+    490: [3]
   },
   890: {
     0: [35, 36],
@@ -5254,7 +4654,7 @@ export default {
     460: [4, 5],
     470: [3, 4],
     480: [3, 4],
-    490: [3],
+    490: [3]
   },
   900: {
     0: [35, 36],
@@ -5306,7 +4706,7 @@ export default {
     460: [4, 5],
     470: [3, 4, 5],
     480: [3, 4],
-    490: [3],
+    490: [3]
   },
   910: {
     0: [34, 35, 36],
@@ -5358,7 +4758,7 @@ export default {
     460: [4, 5],
     470: [3, 4, 5],
     480: [3, 4],
-    490: [3],
+    490: [3]
   },
   920: {
     0: [34, 35],
@@ -5410,7 +4810,7 @@ export default {
     460: [4, 5],
     470: [3, 4, 5],
     480: [3, 4],
-    490: [3],
+    490: [3]
   },
   930: {
     0: [34, 35],
@@ -5463,7 +4863,7 @@ export default {
     470: [3, 4, 5],
     480: [3, 4],
     490: [3],
-    500: [3],
+    500: [3]
   },
   940: {
     0: [34, 35],
@@ -5516,7 +4916,7 @@ export default {
     470: [3, 4, 5],
     480: [3, 4],
     490: [3],
-    500: [3],
+    500: [3]
   },
   950: {
     0: [33, 34, 35],
@@ -5568,7 +4968,7 @@ export default {
     460: [4, 5],
     470: [3, 4, 5],
     480: [3, 4],
-    490: [3],
+    490: [3]
   },
   960: {
     0: [33, 34],
@@ -5619,7 +5019,7 @@ export default {
     450: [5, 6],
     460: [4, 5],
     470: [4, 5],
-    480: [4],
+    480: [4]
   },
   970: {
     0: [33, 34],
@@ -5670,7 +5070,7 @@ export default {
     450: [5, 6],
     460: [4, 5, 6],
     470: [4, 5],
-    480: [4],
+    480: [4]
   },
   980: {
     0: [33, 34],
@@ -5722,7 +5122,7 @@ export default {
     460: [4, 5, 6],
     470: [4, 5],
     480: [4],
-    490: [4],
+    490: [4]
   },
   990: {
     0: [33, 34],
@@ -5774,7 +5174,7 @@ export default {
     460: [4, 5, 6],
     470: [4, 5],
     480: [4],
-    490: [4],
+    490: [4]
   },
   1000: {
     0: [33],
@@ -5826,7 +5226,7 @@ export default {
     460: [4, 5, 6],
     470: [4, 5],
     480: [4],
-    490: [4],
+    490: [4]
   },
   1010: {
     0: [32, 33],
@@ -5878,7 +5278,7 @@ export default {
     460: [4, 5, 6],
     470: [4, 5],
     480: [4],
-    490: [4],
+    490: [4]
   },
   1020: {
     0: [32, 33],
@@ -5930,7 +5330,7 @@ export default {
     460: [4, 5, 6],
     470: [4, 5],
     480: [4],
-    490: [4],
+    490: [4]
   },
   1030: {
     0: [32, 33],
@@ -5982,7 +5382,7 @@ export default {
     460: [5, 6],
     470: [4, 5],
     480: [4, 5],
-    490: [4],
+    490: [4]
   },
   1040: {
     0: [32, 33],
@@ -6034,7 +5434,7 @@ export default {
     460: [5, 6],
     470: [4, 5],
     480: [4, 5],
-    490: [4],
+    490: [4]
   },
   1050: {
     0: [32, 33],
@@ -6086,7 +5486,7 @@ export default {
     460: [5, 6],
     470: [4, 5],
     480: [4, 5],
-    490: [4],
+    490: [4]
   },
   1060: {
     0: [32],
@@ -6138,7 +5538,7 @@ export default {
     460: [5, 6],
     470: [4, 5],
     480: [4, 5],
-    490: [4],
+    490: [4]
   },
   1070: {
     0: [31, 32],
@@ -6191,7 +5591,7 @@ export default {
     470: [4, 5],
     480: [4, 5],
     490: [4],
-    500: [4],
+    500: [4]
   },
   1080: {
     0: [31, 32],
@@ -6243,7 +5643,7 @@ export default {
     460: [5, 6],
     470: [5],
     480: [4, 5],
-    490: [4],
+    490: [4]
   },
   1090: {
     0: [31, 32],
@@ -6294,7 +5694,7 @@ export default {
     450: [6, 7],
     460: [5, 6],
     470: [5, 6],
-    480: [5],
+    480: [5]
   },
   1100: {
     0: [31, 32],
@@ -6345,7 +5745,7 @@ export default {
     450: [6, 7],
     460: [5, 6],
     470: [5, 6],
-    480: [5],
+    480: [5]
   },
   1110: {
     0: [31, 32],
@@ -6396,7 +5796,7 @@ export default {
     450: [6, 7],
     460: [5, 6],
     470: [5, 6],
-    480: [5],
+    480: [5]
   },
   1120: {
     0: [31, 32],
@@ -6448,7 +5848,7 @@ export default {
     460: [5, 6],
     470: [5, 6],
     480: [5],
-    490: [5],
+    490: [5]
   },
   1130: {
     0: [31],
@@ -6500,7 +5900,7 @@ export default {
     460: [5, 6],
     470: [5, 6],
     480: [5],
-    490: [5],
+    490: [5]
   },
   1140: {
     0: [31],
@@ -6552,7 +5952,7 @@ export default {
     460: [5, 6],
     470: [5, 6],
     480: [5],
-    490: [5],
+    490: [5]
   },
   1150: {
     0: [30, 31],
@@ -6604,7 +6004,7 @@ export default {
     460: [5, 6, 7],
     470: [5, 6],
     480: [5],
-    490: [5],
+    490: [5]
   },
   1160: {
     0: [30, 31],
@@ -6656,7 +6056,7 @@ export default {
     460: [6, 7],
     470: [5, 6],
     480: [5],
-    490: [5],
+    490: [5]
   },
   1170: {
     0: [30, 31],
@@ -6708,7 +6108,7 @@ export default {
     460: [6, 7],
     470: [5, 6],
     480: [5, 6],
-    490: [5],
+    490: [5]
   },
   1180: {
     0: [30, 31],
@@ -6761,7 +6161,7 @@ export default {
     470: [5, 6],
     480: [5, 6],
     490: [5],
-    500: [5],
+    500: [5]
   },
   1190: {
     0: [30, 31],
@@ -6814,6 +6214,6 @@ export default {
     470: [5, 6],
     480: [5, 6],
     490: [5],
-    500: [5],
-  },
+    500: [5]
+  }
 };
@@ -0,0 +1,6219 @@
+// Firing Table Data for World 3
+// Cannonball size level 0 (radius 8.0px)
+// Generated on 2026-10-19T18:31:49.814Z
+export default {
+  0: {
+    0: [94, 103, 104],
+    10: [94, 103, 104],
+    20: [94, 103, 104],
+    30: [94, 103, 104, 105],
+    40: [94, 104, 105],
+    50: [94, 104, 105],
+    60: [94, 104, 105, 106],
+    70: [94, 105, 106],
+    80: [94, 105, 106, 107],
+    90: [94, 106, 107],
+    100: [94, 106, 107, 108],
+    110: [94, 106, 107, 108],
+    120: [94, 107, 108],
+    130: [94, 107, 108, 109],
+    140: [94, 108, 109, 110],
+    150: [94, 108, 109, 110],
+    160: [94, 109, 110, 111],
+    170: [94, 110, 111],
+    180: [94, 110, 111, 112],
+    190: [94, 111, 112, 113],
+    200: [94, 112, 113, 114],
+    210: [94, 112, 113, 114, 115],
+    220: [94, 114, 115],
+    230: [94, 114, 115, 116, 117],
+    240: [94, 115, 116, 117, 118],
+    250: [94, 116, 117, 118, 119],
+    260: [94, 117, 118, 119, 120],
+    270: [94, 118, 119, 120, 121],
+    280: [94, 119, 120, 121, 122, 123],
+    290: [94, 120, 121, 122, 123, 124],
+    300: [94, 122, 123, 124, 125, 126],
+    310: [123, 124, 125, 126, 127],
+    320: [125, 126, 127, 128, 129],
+    330: [126, 127, 128, 129, 130, 131],
+    340: [130, 131, 132],
+    350: [130, 131, 132, 133, 134, 135, 136],
+    360: [133, 134, 135, 136, 137, 138],
+    370: [136, 137, 138, 139, 140, 141],
+    380: [138, 139, 140, 141, 142, 143, 144],
+    390: [142, 143, 144, 145, 146],
+    400: [144, 145, 146, 147, 148, 149, 150],
+    410: [147, 148, 149, 150, 151, 152, 153, 154, 155],
+    420: [151, 152, 153, 154, 155, 156, 157, 158],
+    430: [157, 158, 159, 160, 161],
+    440: [161, 162, 163, 164, 165, 166],
+    450: [164, 165, 166, 167, 168, 169, 170, 171],
+    460: [168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [173, 174, 175, 176, 177, 178, 179, 180, 181],
+    480: [178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [183, 184, 185, 186, 187],
+    500: [187]
+  },
+  10: {
+    0: [101, 102, 103],
+    10: [102, 103],
+    20: [102, 103],
+    30: [102, 103, 104],
+    40: [103, 104],
+    50: [103, 104],
+    60: [103, 104],
+    70: [104, 105],
+    80: [104, 105],
+    90: [104, 105, 106],
+    100: [105, 106],
+    110: [105, 106, 107],
+    120: [106, 107],
+    130: [106, 107, 108],
+    140: [106, 107, 108],
+    150: [107, 108, 109],
+    160: [107, 108, 109],
+    170: [108, 109, 110],
+    180: [109, 110],
+    190: [109, 110, 111, 112],
+    200: [110, 111, 112],
+    210: [110, 111, 112, 113],
+    220: [111, 112, 113, 114],
+    230: [112, 113, 114, 115],
+    240: [113, 114, 115, 116],
+    250: [114, 115, 116],
+    260: [115, 116, 117, 118],
+    270: [117, 118],
+    280: [117, 118, 119, 120, 121],
+    290: [119, 120, 121],
+    300: [119, 120, 121, 122, 123, 124],
+    310: [122, 123, 124],
+    320: [122, 123, 124, 125, 126, 127],
+    330: [125, 126, 127, 128],
+    340: [126, 127, 128, 129, 130, 131],
+    350: [128, 129, 130, 131, 132, 133],
+    360: [131, 132, 133, 134, 135, 136],
+    370: [133, 134, 135, 136, 137, 138, 139],
+    380: [137, 138, 139, 140],
+    390: [138, 139, 140, 141, 142, 143, 144, 145],
+    400: [142, 143, 144, 145, 146, 147, 148, 149],
+    410: [147, 148, 149, 150, 151],
+    420: [150, 151, 152, 153, 154, 155, 156],
+    430: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    440: [158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [163, 164, 165, 166, 167, 168, 169, 170],
+    460: [169, 170, 171, 172, 173, 174, 175],
+    470: [174, 175, 176, 177, 178, 179],
+    480: [180, 181, 182, 183, 184, 185],
+    490: [184, 185, 186, 187]
+  },
+  20: {
+    0: [93, 100, 101, 102],
+    10: [93, 101, 102],
+    20: [93, 101, 102],
+    30: [93, 101, 102],
+    40: [93, 101, 102, 103],
+    50: [93, 102, 103],
+    60: [93, 102, 103],
+    70: [93, 102, 103, 104],
+    80: [93, 103, 104],
+    90: [93, 103, 104, 105],
+    100: [93, 104, 105],
+    110: [93, 104, 105],
+    120: [93, 104, 105, 106],
+    130: [93, 105, 106],
+    140: [93, 105, 106, 107],
+    150: [93, 105, 106, 107],
+    160: [93, 106, 107, 108],
+    170: [93, 106, 107, 108, 109],
+    180: [93, 107, 108, 109],
+    190: [93, 107, 108, 109, 110],
+    200: [93, 108, 109, 110, 111],
+    210: [93, 109, 110, 111],
+    220: [93, 109, 110, 111, 112],
+    230: [93, 111, 112, 113],
+    240: [93, 111, 112, 113, 114],
+    250: [93, 112, 113, 114, 115],
+    260: [93, 113, 114, 115, 116],
+    270: [93, 114, 115, 116, 117],
+    280: [93, 115, 116, 117, 118],
+    290: [93, 116, 117, 118, 119, 120],
+    300: [93, 117, 118, 119, 120, 121],
+    310: [93, 118, 119, 120, 121, 122, 123],
+    320: [93, 120, 121, 122, 123, 124],
+    330: [93, 122, 123, 124, 125, 126, 127],
+    340: [93, 123, 124, 125, 126, 127, 128],
+    350: [93, 126, 127, 128, 129, 130, 131],
+    360: [93, 127, 128, 129, 130, 131, 132, 133, 134],
+    370: [93, 132, 133, 134],
+    380: [93, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    390: [93, 136, 137, 138, 139, 140, 141, 142],
+    400: [93, 140, 141, 142, 143, 144, 145],
+    410: [93, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    420: [93, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    430: [93, 153, 154, 155, 156, 157, 158],
+    440: [93, 157, 158, 159, 160, 161, 162, 163, 164],
+    450: [93, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [93, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [93, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    480: [93, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [93, 183, 184, 185, 186, 187, 188, 189],
+    500: [189]
+  },
+  30: {
+    0: [93, 99, 100],
+    10: [93, 100, 101],
+    20: [93, 100, 101],
+    30: [93, 100, 101],
+    40: [93, 100, 101],
+    50: [93, 100, 101, 102],
+    60: [93, 101, 102],
+    70: [93, 101, 102],
+    80: [93, 101, 102, 103],
+    90: [93, 102, 103],
+    100: [93, 102, 103, 104],
+    110: [93, 102, 103, 104],
+    120: [93, 103, 104, 105],
+    130: [93, 103, 104, 105],
+    140: [93, 103, 104, 105],
+    150: [93, 104, 105, 106],
+    160: [93, 105, 106],
+    170: [93, 105, 106, 107],
+    180: [93, 105, 106, 107, 108],
+    190: [93, 106, 107, 108],
+    200: [93, 106, 107, 108, 109],
+    210: [93, 107, 108, 109],
+    220: [93, 107, 108, 109, 110],
+    230: [93, 108, 109, 110, 111],
+    240: [93, 109, 110, 111, 112],
+    250: [93, 109, 110, 111, 112, 113],
+    260: [93, 111, 112, 113],
+    270: [93, 111, 112, 113, 114, 115],
+    280: [93, 113, 114, 115],
+    290: [93, 113, 114, 115, 116, 117, 118],
+    300: [93, 115, 116, 117, 118],
+    310: [93, 116, 117, 118, 119, 120, 121],
+    320: [93, 118, 119, 120, 121],
+    330: [93, 119, 120, 121, 122, 123, 124],
+    340: [93, 122, 123, 124, 125],
+    350: [93, 122, 123, 124, 125, 126, 127, 128],
+    360: [93, 126, 127, 128, 129],
+    370: [93, 127, 128, 129, 130, 131, 132, 133, 134],
+    380: [93, 130, 131, 132, 133, 134, 135, 136],
+    390: [93, 133, 134, 135, 136, 137, 138, 139],
+    400: [93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    410: [93, 140, 141, 142, 143, 144, 145, 146, 147],
+    420: [93, 145, 146, 147, 148, 149, 150, 151, 152],
+    430: [93, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    440: [93, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    450: [93, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    460: [93, 167, 168, 169, 170, 171, 172, 173, 174],
+    470: [93, 174, 175, 176, 177, 178, 179],
+    480: [93, 180, 181, 182, 183, 184, 185],
+    490: [93, 186, 187, 188, 189]
+  },
+  40: {
+    0: [98, 99],
+    10: [98, 99, 100],
+    20: [99, 100],
+    30: [99, 100],
+    40: [99, 100],
+    50: [99, 100, 101],
+    60: [99, 100, 101],
+    70: [100, 101],
+    80: [100, 101],
+    90: [100, 101, 102],
+    100: [101, 102],
+    110: [101, 102],
+    120: [101, 102, 103],
+    130: [101, 102, 103],
+    140: [102, 103],
+    150: [102, 103, 104],
+    160: [103, 104, 105],
+    170: [103, 104, 105],
+    180: [103, 104, 105, 106],
+    190: [104, 105, 106],
+    200: [104, 105, 106, 107],
+    210: [105, 106, 107, 108],
+    220: [106, 107, 108],
+    230: [106, 107, 108, 109],
+    240: [107, 108, 109],
+    250: [107, 108, 109, 110, 111],
+    260: [108, 109, 110, 111, 112],
+    270: [109, 110, 111, 112, 113],
+    280: [110, 111, 112, 113, 114],
+    290: [111, 112, 113, 114, 115],
+    300: [112, 113, 114, 115, 116],
+    310: [114, 115, 116, 117],
+    320: [114, 115, 116, 117, 118, 119, 120],
+    330: [116, 117, 118, 119, 120],
+    340: [117, 118, 119, 120, 121, 122, 123],
+    350: [120, 121, 122, 123, 124, 125],
+    360: [121, 122, 123, 124, 125, 126, 127, 128],
+    370: [123, 124, 125, 126, 127, 128, 129, 130],
+    380: [127, 128, 129, 130, 131, 132, 133],
+    390: [129, 130, 131, 132, 133, 134, 135, 136, 137],
+    400: [134, 135, 136, 137, 138, 139],
+    410: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    420: [140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    430: [146, 147, 148, 149, 150, 151, 152, 153, 154],
+    440: [153, 154, 155, 156, 157, 158, 159, 160],
+    450: [157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    460: [163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190],
+    490: [184, 185, 186, 187, 188, 189, 190, 191, 192],
+    500: [191, 192]
+  },
+  50: {
+    0: [92, 97, 98],
+    10: [92, 97, 98],
+    20: [92, 97, 98, 99],
+    30: [92, 98, 99],
+    40: [92, 98, 99],
+    50: [92, 98, 99],
+    60: [92, 98, 99, 100],
+    70: [92, 98, 99, 100],
+    80: [92, 99, 100],
+    90: [92, 99, 100, 101],
+    100: [92, 99, 100, 101],
+    110: [92, 100, 101],
+    120: [92, 100, 101],
+    130: [92, 100, 101, 102],
+    140: [92, 101, 102],
+    150: [92, 101, 102, 103],
+    160: [92, 101, 102, 103],
+    170: [92, 102, 103],
+    180: [92, 102, 103, 104],
+    190: [92, 102, 103, 104, 105],
+    200: [92, 103, 104, 105],
+    210: [92, 103, 104, 105, 106],
+    220: [92, 104, 105, 106],
+    230: [92, 104, 105, 106, 107],
+    240: [92, 105, 106, 107, 108],
+    250: [92, 105, 106, 107, 108],
+    260: [92, 106, 107, 108, 109, 110],
+    270: [92, 107, 108, 109, 110],
+    280: [92, 107, 108, 109, 110, 111, 112],
+    290: [92, 109, 110, 111],
+    300: [92, 109, 110, 111, 112, 113, 114],
+    310: [92, 111, 112, 113, 114],
+    320: [92, 111, 112, 113, 114, 115, 116, 117],
+    330: [92, 113, 114, 115, 116, 117],
+    340: [92, 114, 115, 116, 117, 118, 119, 120],
+    350: [92, 117, 118, 119, 120, 121],
+    360: [92, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    370: [92, 122, 123, 124, 125],
+    380: [92, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    390: [92, 126, 127, 128, 129, 130, 131, 132],
+    400: [92, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    410: [92, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    420: [92, 140, 141, 142, 143],
+    430: [92, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    440: [92, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    450: [92, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    460: [92, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    470: [92, 173, 174, 175, 176, 177, 178],
+    480: [92, 181, 182, 183, 184, 185, 186],
+    490: [92, 188, 189, 190, 191, 192]
+  },
+  60: {
+    0: [92, 96, 97],
+    10: [92, 96, 97],
+    20: [92, 96, 97, 98],
+    30: [92, 96, 97, 98],
+    40: [92, 97, 98],
+    50: [92, 97, 98],
+    60: [92, 97, 98],
+    70: [92, 97, 98, 99],
+    80: [92, 98, 99],
+    90: [92, 98, 99],
+    100: [92, 98, 99, 100],
+    110: [92, 98, 99, 100],
+    120: [92, 98, 99, 100],
+    130: [92, 98, 99, 100],
+    140: [92, 99, 100, 101],
+    150: [92, 99, 100, 101],
+    160: [92, 99, 100, 101, 102],
+    170: [92, 100, 101, 102],
+    180: [92, 100, 101, 102],
+    190: [92, 100, 101, 102, 103],
+    200: [92, 101, 102, 103],
+    210: [92, 101, 102, 103, 104],
+    220: [92, 101, 102, 103, 104],
+    230: [92, 102, 103, 104, 105],
+    240: [92, 102, 103, 104, 105, 106],
+    250: [92, 104, 105],
+    260: [92, 103, 104, 105, 106, 107],
+    270: [92, 105, 106, 107],
+    280: [92, 105, 106, 107, 108, 109],
+    290: [92, 106, 107, 108, 109, 110],
+    300: [92, 106, 107, 108, 109, 110, 111],
+    310: [92, 107, 108, 109, 110, 111, 112],
+    320: [92, 109, 110, 111, 112, 113],
+    330: [92, 109, 110, 111, 112, 113, 114, 115],
+    340: [92, 111, 112, 113, 114, 115, 116],
+    350: [92, 112, 113, 114, 115, 116, 117, 118, 119],
+    360: [92, 114, 115, 116, 117, 118, 119, 120],
+    370: [92, 116, 117, 118, 119, 120, 121, 122, 123],
+    380: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    390: [92, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    400: [92, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    410: [92, 131, 132, 133, 134, 135],
+    420: [92, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    430: [92, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    440: [92, 148, 149, 150, 151],
+    450: [92, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    460: [92, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [92, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [92, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192, 193, 194],
+    490: [92, 185, 186, 187, 188, 189, 190, 191, 192, 193, 194, 195, 196],
+    500: [195, 196]
+  },
+  70: {
+    0: [95, 96],
+    10: [95, 96],
+    20: [95, 96],
+    30: [95, 96, 97],
+    40: [95, 96, 97],
+    50: [96, 97],
+    60: [96, 97],
+    70: [96, 97],
+    80: [96, 97, 98],
+    90: [96, 97, 98],
+    100: [96, 97, 98],
+    110: [96, 97, 98],
+    120: [97, 98],
+    130: [97, 98, 99],
+    140: [97, 98, 99],
+    150: [98, 99],
+    160: [97, 98, 99, 100],
+    170: [98, 99, 100],
+    180: [98, 99, 100],
+    190: [98, 99, 100, 101],
+    200: [99, 100, 101],
+    210: [99, 100, 101, 102],
+    220: [99, 100, 101, 102],
+    230: [100, 101, 102],
+    240: [100, 101, 102, 103, 104],
+    250: [101, 102, 103, 104],
+    260: [101, 102, 103, 104, 105],
+    270: [101, 102, 103, 104, 105],
+    280: [102, 103, 104, 105, 106],
+    290: [102, 103, 104, 105, 106, 107],
+    300: [104, 105, 106, 107],
+    310: [104, 105, 106, 107, 108, 109],
+    320: [107, 108, 109],
+    330: [106, 107, 108, 109, 110, 111, 112],
+    340: [108, 109, 110, 111, 112],
+    350: [108, 109, 110, 111, 112, 113, 114, 115],
+    360: [111, 112, 113, 114, 115],
+    370: [111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    380: [116, 117, 118, 119],
+    390: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    400: [120, 121, 122, 123, 124, 125, 126],
+    410: [121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    420: [126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    430: [133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    440: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    450: [145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    460: [157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    470: [172, 173, 174, 175, 176, 177],
+    480: [183, 184, 185, 186, 187, 188],
+    490: [190, 191, 192, 193, 194, 195, 196]
+  },
+  80: {
+    0: [91, 94, 95],
+    10: [91, 94, 95],
+    20: [91, 94, 95],
+    30: [91, 94, 95],
+    40: [91, 94, 95, 96],
+    50: [91, 94, 95, 96],
+    60: [91, 95, 96],
+    70: [91, 94, 95, 96],
+    80: [91, 95, 96],
+    90: [91, 95, 96],
+    100: [91, 95, 96, 97],
+    110: [91, 95, 96, 97],
+    120: [91, 95, 96, 97],
+    130: [91, 95, 96, 97],
+    140: [91, 95, 96, 97, 98],
+    150: [91, 96, 97],
+    160: [91, 96, 97, 98],
+    170: [91, 96, 97, 98],
+    180: [91, 97, 98],
+    190: [91, 96, 97, 98, 99],
+    200: [91, 97, 98, 99],
+    210: [91, 97, 98, 99, 100],
+    220: [91, 97, 98, 99, 100],
+    230: [91, 98, 99, 100],
+    240: [91, 98, 99, 100, 101],
+    250: [91, 98, 99, 100, 101, 102],
+    260: [91, 99, 100, 101, 102],
+    270: [91, 99, 100, 101, 102, 103],
+    280: [91, 100, 101, 102, 103],
+    290: [91, 99, 100, 101, 102, 103, 104],
+    300: [91, 101, 102, 103, 104],
+    310: [91, 101, 102, 103, 104, 105, 106],
+    320: [91, 102, 103, 104, 105, 106, 107],
+    330: [91, 102, 103, 104, 105, 106, 107, 108],
+    340: [91, 103, 104, 105, 106, 107, 108, 109],
+    350: [91, 104, 105, 106, 107, 108, 109, 110, 111],
+    360: [91, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    370: [91, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    380: [91, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    390: [91, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    400: [91, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    410: [91, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    420: [91, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    430: [91, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    440: [91, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  90: {
+    0: [91, 93, 94],
+    10: [91, 93, 94],
+    20: [91, 93, 94],
+    30: [91, 93, 94],
+    40: [91, 93, 94],
+    50: [91, 93, 94],
+    60: [91, 93, 94],
+    70: [91, 93, 94, 95],
+    80: [91, 93, 94, 95],
+    90: [91, 94, 95],
+    100: [91, 93, 94, 95],
+    110: [91, 93, 94, 95],
+    120: [91, 94, 95],
+    130: [91, 94, 95, 96],
+    140: [91, 94, 95, 96],
+    150: [91, 94, 95, 96],
+    160: [91, 94, 95, 96],
+    170: [91, 94, 95, 96, 97],
+    180: [91, 95, 96],
+    190: [91, 94, 95, 96, 97],
+    200: [91, 95, 96, 97],
+    210: [91, 95, 96, 97],
+    220: [91, 95, 96, 97, 98],
+    230: [91, 96, 97, 98],
+    240: [91, 95, 96, 97, 98, 99],
+    250: [91, 96, 97, 98, 99],
+    260: [91, 96, 97, 98, 99],
+    270: [91, 96, 97, 98, 99, 100],
+    280: [91, 97, 98, 99, 100],
+    290: [91, 97, 98, 99, 100, 101],
+    300: [91, 97, 98, 99, 100, 101, 102],
+    310: [91, 98, 99, 100, 101, 102, 103],
+    320: [91, 98, 99, 100, 101, 102, 103, 104],
+    330: [91, 99, 100, 101, 102, 103, 104],
+    340: [91, 99, 100, 101, 102, 103, 104, 105, 106],
+    350: [91, 101, 102, 103, 104, 105, 106],
+    360: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    370: [91, 103, 104, 105, 106, 107, 108],
+    380: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    390: [91, 106, 107, 108, 109, 110, 111, 112],
+    400: [91, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    410: [91, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    420: [91, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    430: [91, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  100: {
+    0: [92, 93],
+    10: [92, 93],
+    20: [92, 93],
+    30: [92, 93],
+    40: [92, 93],
+    50: [92, 93],
+    60: [92, 93],
+    70: [92, 93],
+    80: [92, 93, 94],
+    90: [92, 93],
+    100: [92, 93, 94],
+    110: [92, 93, 94],
+    120: [92, 93, 94],
+    130: [92, 93, 94],
+    140: [92, 93, 94],
+    150: [92, 93, 94],
+    160: [92, 93, 94],
+    170: [92, 93, 94, 95],
+    180: [93, 94, 95],
+    190: [93, 94, 95],
+    200: [93, 94, 95],
+    210: [93, 94, 95],
+    220: [93, 94, 95, 96],
+    230: [93, 94, 95, 96],
+    240: [93, 94, 95, 96],
+    250: [93, 94, 95, 96, 97],
+    260: [94, 95, 96],
+    270: [93, 94, 95, 96, 97, 98],
+    280: [94, 95, 96, 97],
+    290: [94, 95, 96, 97, 98],
+    300: [94, 95, 96, 97, 98, 99],
+    310: [94, 95, 96, 97, 98, 99],
+    320: [94, 95, 96, 97, 98, 99, 100],
+    330: [96, 97, 98, 99, 100],
+    340: [95, 96, 97, 98, 99, 100, 101, 102],
+    350: [98, 99, 100],
+    360: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    370: [98, 99, 100, 101, 102, 103],
+    380: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    390: [100, 101, 102, 103, 104, 105, 106, 107],
+    400: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    410: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    420: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119]
+  },
+  110: {
+    0: [91, 92],
+    10: [91, 92],
+    20: [91, 92],
+    30: [91, 92],
+    40: [91, 92],
+    50: [91, 92],
+    60: [91, 92],
+    70: [91, 92],
+    80: [91, 92],
+    90: [91, 92],
+    100: [91, 92],
+    110: [91, 92],
+    120: [91, 92],
+    130: [91, 92],
+    140: [91, 92, 93],
+    150: [91, 92, 93],
+    160: [91, 92, 93],
+    170: [91, 92, 93],
+    180: [91, 92, 93],
+    190: [91, 92, 93],
+    200: [91, 92, 93, 94],
+    210: [91, 92, 93],
+    220: [91, 92, 93, 94],
+    230: [91, 92, 93, 94],
+    240: [91, 92, 93, 94],
+    250: [91, 92, 93, 94],
+    260: [92, 93],
+    270: [91, 92, 93, 94, 95],
+    280: [91, 92, 93, 94, 95],
+    290: [91, 92, 93, 94, 95],
+    300: [91, 92, 93, 94, 95, 96],
+    310: [91, 92, 93, 94, 95],
+    320: [91, 92, 93, 94, 95, 96, 97],
+    330: [92, 93, 94, 95],
+    340: [91, 92, 93, 94, 95, 96, 97, 98],
+    350: [92, 93, 94, 95, 96, 97],
+    360: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    370: [92, 93, 94, 95, 96, 97, 98, 99],
+    380: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    390: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    400: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    410: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    420: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109]
+  },
+  120: {
+    0: [89, 90, 91],
+    10: [89, 90, 91],
+    20: [90],
+    30: [89, 90, 91],
+    40: [89, 90, 91],
+    50: [89, 90, 91],
+    60: [90],
+    70: [89, 90, 91],
+    80: [89, 90, 91],
+    90: [89, 90, 91],
+    100: [89, 90, 91],
+    110: [89, 90, 91],
+    120: [89, 90, 91],
+    130: [89, 90, 91],
+    140: [89, 90, 91],
+    150: [89, 90, 91],
+    160: [89, 90, 91],
+    170: [89, 90, 91],
+    180: [89, 90, 91],
+    190: [89, 90, 91],
+    200: [89, 90, 91],
+    210: [89, 90, 91],
+    220: [88, 89, 90, 91, 92],
+    230: [88, 89, 90, 91, 92],
+    240: [89, 90, 91],
+    250: [88, 89, 90, 91, 92],
+    260: [89, 90, 91],
+    270: [88, 89, 90, 91, 92],
+    280: [88, 89, 90, 91, 92],
+    290: [88, 89, 90, 91, 92],
+    300: [87, 88, 89, 90, 91, 92, 93],
+    310: [88, 89, 90, 91, 92],
+    320: [87, 88, 89, 90, 91, 92, 93],
+    330: [89, 90, 91],
+    340: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    350: [88, 89, 90, 91, 92],
+    360: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    370: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    380: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    390: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    400: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    410: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    420: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98]
+  },
+  130: {
+    0: [88, 89],
+    10: [88, 89],
+    20: [88, 89],
+    30: [88, 89],
+    40: [88, 89],
+    50: [88, 89],
+    60: [88, 89],
+    70: [88, 89],
+    80: [88, 89],
+    90: [88, 89],
+    100: [88, 89],
+    110: [88, 89],
+    120: [88, 89],
+    130: [88, 89],
+    140: [87, 88, 89],
+    150: [87, 88, 89],
+    160: [87, 88, 89],
+    170: [87, 88, 89],
+    180: [87, 88, 89],
+    190: [87, 88, 89],
+    200: [86, 87, 88, 89],
+    210: [87, 88, 89],
+    220: [86, 87, 88, 89],
+    230: [86, 87, 88, 89],
+    240: [86, 87, 88, 89],
+    250: [86, 87, 88, 89],
+    260: [87, 88],
+    270: [85, 86, 87, 88, 89],
+    280: [85, 86, 87, 88, 89],
+    290: [85, 86, 87, 88, 89],
+    300: [84, 85, 86, 87, 88, 89],
+    310: [85, 86, 87, 88, 89],
+    320: [83, 84, 85, 86, 87, 88, 89],
+    330: [85, 86, 87, 88],
+    340: [82, 83, 84, 85, 86, 87, 88, 89],
+    350: [83, 84, 85, 86, 87, 88],
+    360: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    370: [81, 82, 83, 84, 85, 86, 87, 88],
+    380: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    390: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    400: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    410: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    420: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88]
+  },
+  140: {
+    0: [87, 88],
+    10: [87, 88],
+    20: [87, 88],
+    30: [87, 88],
+    40: [87, 88],
+    50: [87, 88],
+    60: [87, 88],
+    70: [87, 88],
+    80: [86, 87, 88],
+    90: [87, 88],
+    100: [86, 87, 88],
+    110: [86, 87, 88],
+    120: [86, 87, 88],
+    130: [86, 87, 88],
+    140: [86, 87, 88],
+    150: [86, 87, 88],
+    160: [86, 87, 88],
+    170: [85, 86, 87, 88],
+    180: [85, 86, 87],
+    190: [85, 86, 87],
+    200: [85, 86, 87],
+    210: [85, 86, 87],
+    220: [84, 85, 86, 87],
+    230: [84, 85, 86, 87],
+    240: [84, 85, 86, 87],
+    250: [83, 84, 85, 86, 87],
+    260: [84, 85, 86],
+    270: [82, 83, 84, 85, 86, 87],
+    280: [83, 84, 85, 86],
+    290: [82, 83, 84, 85, 86],
+    300: [81, 82, 83, 84, 85, 86],
+    310: [81, 82, 83, 84, 85, 86],
+    320: [80, 81, 82, 83, 84, 85, 86],
+    330: [80, 81, 82, 83, 84],
+    340: [78, 79, 80, 81, 82, 83, 84, 85],
+    350: [80, 81, 82],
+    360: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
+    370: [77, 78, 79, 80, 81, 82],
+    380: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
+    390: [73, 74, 75, 76, 77, 78, 79, 80],
+    400: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
+    410: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
+    420: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79]
+  },
+  150: {
+    0: [86, 87, 89],
+    10: [86, 87, 89],
+    20: [86, 87, 89],
+    30: [86, 87, 89],
+    40: [86, 87, 89],
+    50: [86, 87, 89],
+    60: [86, 87, 89],
+    70: [85, 86, 87, 89],
+    80: [85, 86, 87, 89],
+    90: [85, 86, 89],
+    100: [85, 86, 87, 89],
+    110: [85, 86, 87, 89],
+    120: [85, 86, 89],
+    130: [84, 85, 86, 89],
+    140: [84, 85, 86, 89],
+    150: [84, 85, 86, 89],
+    160: [84, 85, 86, 89],
+    170: [83, 84, 85, 86, 89],
+    180: [84, 85, 89],
+    190: [83, 84, 85, 86, 89],
+    200: [83, 84, 85, 89],
+    210: [83, 84, 85, 89],
+    220: [82, 83, 84, 85, 89],
+    230: [82, 83, 84, 89],
+    240: [81, 82, 83, 84, 85, 89],
+    250: [81, 82, 83, 84, 89],
+    260: [81, 82, 83, 84, 89],
+    270: [80, 81, 82, 83, 84, 89],
+    280: [80, 81, 82, 83, 89],
+    290: [79, 80, 81, 82, 83, 89],
+    300: [78, 79, 80, 81, 82, 83, 89],
+    310: [77, 78, 79, 80, 81, 82, 89],
+    320: [76, 77, 78, 79, 80, 81, 82, 89],
+    330: [76, 77, 78, 79, 80, 81, 89],
+    340: [74, 75, 76, 77, 78, 79, 80, 81, 89],
+    350: [74, 75, 76, 77, 78, 79, 89],
+    360: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    370: [72, 73, 74, 75, 76, 77, 89],
+    380: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    390: [68, 69, 70, 71, 72, 73, 74, 89],
+    400: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 89],
+    410: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 89],
+    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 89],
+    430: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  160: {
+    0: [85, 86, 89],
+    10: [85, 86, 89],
+    20: [85, 86, 89],
+    30: [85, 86, 89],
+    40: [84, 85, 86, 89],
+    50: [84, 85, 86, 89],
+    60: [84, 85, 89],
+    70: [84, 85, 86, 89],
+    80: [84, 85, 89],
+    90: [84, 85, 89],
+    100: [83, 84, 85, 89],
+    110: [83, 84, 85, 89],
+    120: [83, 84, 85, 89],
+    130: [83, 84, 85, 89],
+    140: [82, 83, 84, 85, 89],
+    150: [83, 84, 89],
+    160: [82, 83, 84, 89],
+    170: [82, 83, 84, 89],
+    180: [82, 83, 89],
+    190: [81, 82, 83, 84, 89],
+    200: [81, 82, 83, 89],
+    210: [80, 81, 82, 83, 89],
+    220: [80, 81, 82, 83, 89],
+    230: [80, 81, 82, 89],
+    240: [79, 80, 81, 82, 89],
+    250: [78, 79, 80, 81, 82, 89],
+    260: [78, 79, 80, 81, 89],
+    270: [77, 78, 79, 80, 81, 89],
+    280: [77, 78, 79, 80, 89],
+    290: [76, 77, 78, 79, 80, 81, 89],
+    300: [76, 77, 78, 79, 89],
+    310: [74, 75, 76, 77, 78, 79, 89],
+    320: [73, 74, 75, 76, 77, 78, 89],
+    330: [72, 73, 74, 75, 76, 77, 78, 89],
+    340: [71, 72, 73, 74, 75, 76, 77, 89],
+    350: [69, 70, 71, 72, 73, 74, 75, 76, 89],
+    360: [67, 68, 69, 70, 71, 72, 73, 74, 75, 89],
+    370: [65, 66, 67, 68, 69, 70, 71, 72, 73, 89],
+    380: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 89],
+    390: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 89],
+    400: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 89],
+    410: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 89],
+    420: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 89],
+    430: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 89],
+    440: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  170: {
+    0: [84, 85],
+    10: [84, 85],
+    20: [84, 85],
+    30: [83, 84, 85],
+    40: [83, 84, 85],
+    50: [83, 84],
+    60: [83, 84],
+    70: [83, 84],
+    80: [82, 83, 84],
+    90: [82, 83, 84],
+    100: [82, 83, 84],
+    110: [82, 83, 84],
+    120: [82, 83],
+    130: [81, 82, 83],
+    140: [81, 82, 83],
+    150: [81, 82],
+    160: [80, 81, 82, 83],
+    170: [80, 81, 82],
+    180: [80, 81, 82],
+    190: [79, 80, 81, 82],
+    200: [79, 80, 81],
+    210: [78, 79, 80, 81],
+    220: [78, 79, 80, 81],
+    230: [78, 79, 80],
+    240: [76, 77, 78, 79, 80],
+    250: [76, 77, 78, 79],
+    260: [75, 76, 77, 78, 79],
+    270: [75, 76, 77, 78, 79],
+    280: [74, 75, 76, 77, 78],
+    290: [73, 74, 75, 76, 77, 78],
+    300: [73, 74, 75, 76],
+    310: [71, 72, 73, 74, 75, 76],
+    320: [71, 72, 73],
+    330: [68, 69, 70, 71, 72, 73, 74],
+    340: [68, 69, 70, 71, 72],
+    350: [65, 66, 67, 68, 69, 70, 71, 72],
+    360: [65, 66, 67, 68, 69],
+    370: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
+    380: [61, 62, 63, 64],
+    390: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    400: [54, 55, 56, 57, 58, 59, 60],
+    410: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    420: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    430: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    440: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    450: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35],
+    460: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
+    470: [3, 4, 5, 6, 7, 8],
+    480: [352, 353, 354, 355, 356, 357],
+    490: [344, 345, 346, 347, 348, 349, 350]
+  },
+  180: {
+    0: [83, 84, 88],
+    10: [83, 84, 88],
+    20: [82, 83, 84, 88],
+    30: [82, 83, 84, 88],
+    40: [82, 83, 88],
+    50: [82, 83, 88],
+    60: [82, 83, 88],
+    70: [81, 82, 83, 88],
+    80: [81, 82, 88],
+    90: [81, 82, 88],
+    100: [80, 81, 82, 88],
+    110: [80, 81, 82, 88],
+    120: [80, 81, 82, 88],
+    130: [80, 81, 82, 88],
+    140: [79, 80, 81, 88],
+    150: [79, 80, 81, 88],
+    160: [78, 79, 80, 81, 88],
+    170: [78, 79, 80, 88],
+    180: [78, 79, 80, 88],
+    190: [77, 78, 79, 80, 88],
+    200: [77, 78, 79, 88],
+    210: [76, 77, 78, 79, 88],
+    220: [76, 77, 78, 79, 88],
+    230: [75, 76, 77, 78, 88],
+    240: [74, 75, 76, 77, 78, 88],
+    250: [75, 76, 88],
+    260: [73, 74, 75, 76, 77, 88],
+    270: [73, 74, 75, 88],
+    280: [71, 72, 73, 74, 75, 88],
+    290: [70, 71, 72, 73, 74, 88],
+    300: [69, 70, 71, 72, 73, 74, 88],
+    310: [68, 69, 70, 71, 72, 73, 88],
+    320: [67, 68, 69, 70, 71, 88],
+    330: [65, 66, 67, 68, 69, 70, 71, 88],
+    340: [64, 65, 66, 67, 68, 69, 88],
+    350: [61, 62, 63, 64, 65, 66, 67, 68, 88],
+    360: [60, 61, 62, 63, 64, 65, 66, 88],
+    370: [57, 58, 59, 60, 61, 62, 63, 64, 88],
+    380: [54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    390: [51, 52, 53, 54, 55, 56, 57, 58, 59, 88],
+    400: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 88],
+    410: [45, 46, 47, 48, 49, 88],
+    420: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 88],
+    430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 88],
+    440: [29, 30, 31, 32, 88],
+    450: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 88],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 88, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 88, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [88, 344, 345, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355],
+    500: [344, 345]
+  },
+  190: {
+    0: [82, 83, 88],
+    10: [82, 83, 88],
+    20: [81, 82, 83, 88],
+    30: [81, 82, 88],
+    40: [81, 82, 88],
+    50: [81, 82, 88],
+    60: [80, 81, 82, 88],
+    70: [80, 81, 82, 88],
+    80: [80, 81, 88],
+    90: [79, 80, 81, 88],
+    100: [79, 80, 81, 88],
+    110: [79, 80, 88],
+    120: [79, 80, 88],
+    130: [78, 79, 80, 88],
+    140: [78, 79, 88],
+    150: [77, 78, 79, 88],
+    160: [77, 78, 79, 88],
+    170: [77, 78, 88],
+    180: [76, 77, 78, 88],
+    190: [75, 76, 77, 78, 88],
+    200: [75, 76, 77, 88],
+    210: [74, 75, 76, 77, 88],
+    220: [74, 75, 76, 88],
+    230: [73, 74, 75, 76, 88],
+    240: [72, 73, 74, 75, 88],
+    250: [72, 73, 74, 75, 88],
+    260: [70, 71, 72, 73, 74, 88],
+    270: [70, 71, 72, 73, 88],
+    280: [68, 69, 70, 71, 72, 73, 88],
+    290: [69, 70, 71, 88],
+    300: [66, 67, 68, 69, 70, 71, 88],
+    310: [66, 67, 68, 69, 88],
+    320: [63, 64, 65, 66, 67, 68, 69, 88],
+    330: [63, 64, 65, 66, 67, 88],
+    340: [60, 61, 62, 63, 64, 65, 66, 88],
+    350: [59, 60, 61, 62, 63, 88],
+    360: [55, 56, 57, 58, 59, 60, 61, 62, 63, 88],
+    370: [55, 56, 57, 58, 88],
+    380: [50, 51, 52, 53, 54, 55, 56, 57, 58, 88],
+    390: [48, 49, 50, 51, 52, 53, 54, 88],
+    400: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 88],
+    410: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 88],
+    420: [37, 38, 39, 40, 88],
+    430: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 88],
+    440: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 88],
+    450: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 88],
+    460: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 88],
+    470: [2, 3, 4, 5, 6, 7, 88],
+    480: [88, 354, 355, 356, 357, 358, 359],
+    490: [88, 348, 349, 350, 351, 352]
+  },
+  200: {
+    0: [81, 82],
+    10: [80, 81, 82],
+    20: [80, 81],
+    30: [80, 81],
+    40: [80, 81],
+    50: [79, 80, 81],
+    60: [79, 80, 81],
+    70: [79, 80],
+    80: [79, 80],
+    90: [78, 79, 80],
+    100: [78, 79],
+    110: [78, 79],
+    120: [77, 78, 79],
+    130: [77, 78, 79],
+    140: [77, 78],
+    150: [76, 77, 78],
+    160: [75, 76, 77],
+    170: [75, 76, 77],
+    180: [74, 75, 76, 77],
+    190: [74, 75, 76],
+    200: [73, 74, 75, 76],
+    210: [72, 73, 74, 75],
+    220: [72, 73, 74],
+    230: [71, 72, 73, 74],
+    240: [71, 72, 73],
+    250: [69, 70, 71, 72, 73],
+    260: [68, 69, 70, 71, 72],
+    270: [67, 68, 69, 70, 71],
+    280: [66, 67, 68, 69, 70],
+    290: [65, 66, 67, 68, 69],
+    300: [64, 65, 66, 67, 68],
+    310: [63, 64, 65, 66],
+    320: [60, 61, 62, 63, 64, 65, 66],
+    330: [60, 61, 62, 63, 64],
+    340: [57, 58, 59, 60, 61, 62, 63],
+    350: [55, 56, 57, 58, 59, 60],
+    360: [52, 53, 54, 55, 56, 57, 58, 59],
+    370: [50, 51, 52, 53, 54, 55, 56, 57],
+    380: [47, 48, 49, 50, 51, 52, 53],
+    390: [43, 44, 45, 46, 47, 48, 49, 50, 51],
+    400: [41, 42, 43, 44, 45, 46],
+    410: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    420: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40],
+    430: [26, 27, 28, 29, 30, 31, 32, 33, 34],
+    440: [20, 21, 22, 23, 24, 25, 26, 27],
+    450: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 357, 358, 359],
+    480: [0, 1, 2, 3, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [348, 349, 350, 351, 352, 353, 354, 355, 356],
+    500: [348, 349]
+  },
+  210: {
+    0: [80, 81, 87],
+    10: [79, 80, 87],
+    20: [79, 80, 87],
+    30: [79, 80, 87],
+    40: [79, 80, 87],
+    50: [78, 79, 80, 87],
+    60: [78, 79, 87],
+    70: [78, 79, 87],
+    80: [77, 78, 79, 87],
+    90: [77, 78, 87],
+    100: [76, 77, 78, 87],
+    110: [76, 77, 78, 87],
+    120: [75, 76, 77, 87],
+    130: [75, 76, 77, 87],
+    140: [75, 76, 77, 87],
+    150: [74, 75, 76, 87],
+    160: [74, 75, 87],
+    170: [73, 74, 75, 87],
+    180: [72, 73, 74, 75, 87],
+    190: [72, 73, 74, 87],
+    200: [71, 72, 73, 74, 87],
+    210: [71, 72, 73, 87],
+    220: [70, 71, 72, 73, 87],
+    230: [69, 70, 71, 72, 87],
+    240: [68, 69, 70, 71, 87],
+    250: [67, 68, 69, 70, 71, 87],
+    260: [67, 68, 69, 87],
+    270: [65, 66, 67, 68, 69, 87],
+    280: [65, 66, 67, 87],
+    290: [62, 63, 64, 65, 66, 67, 87],
+    300: [62, 63, 64, 65, 87],
+    310: [59, 60, 61, 62, 63, 64, 87],
+    320: [59, 60, 61, 62, 87],
+    330: [56, 57, 58, 59, 60, 61, 87],
+    340: [55, 56, 57, 58, 87],
+    350: [52, 53, 54, 55, 56, 57, 58, 87],
+    360: [51, 52, 53, 54, 87],
+    370: [46, 47, 48, 49, 50, 51, 52, 53, 87],
+    380: [44, 45, 46, 47, 48, 49, 50, 87],
+    390: [41, 42, 43, 44, 45, 46, 47, 87],
+    400: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 87],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 87],
+    420: [28, 29, 30, 31, 32, 33, 34, 35, 87],
+    430: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 87],
+    440: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 87],
+    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 87],
+    460: [6, 7, 8, 9, 10, 11, 12, 13, 87],
+    470: [1, 2, 3, 4, 5, 6, 87],
+    480: [0, 87, 355, 356, 357, 358, 359],
+    490: [87, 351, 352, 353, 354]
+  },
+  220: {
+    0: [78, 79, 80, 87],
+    10: [78, 79, 87],
+    20: [78, 79, 87],
+    30: [78, 79, 87],
+    40: [77, 78, 79, 87],
+    50: [77, 78, 87],
+    60: [77, 78, 87],
+    70: [76, 77, 78, 87],
+    80: [76, 77, 87],
+    90: [75, 76, 77, 87],
+    100: [75, 76, 87],
+    110: [75, 76, 87],
+    120: [74, 75, 76, 87],
+    130: [74, 75, 87],
+    140: [73, 74, 75, 87],
+    150: [73, 74, 75, 87],
+    160: [72, 73, 74, 87],
+    170: [71, 72, 73, 74, 87],
+    180: [71, 72, 73, 87],
+    190: [70, 71, 72, 73, 87],
+    200: [69, 70, 71, 72, 87],
+    210: [69, 70, 71, 87],
+    220: [68, 69, 70, 71, 87],
+    230: [67, 68, 69, 87],
+    240: [66, 67, 68, 69, 87],
+    250: [65, 66, 67, 68, 87],
+    260: [64, 65, 66, 67, 87],
+    270: [63, 64, 65, 66, 87],
+    280: [62, 63, 64, 65, 87],
+    290: [60, 61, 62, 63, 64, 87],
+    300: [59, 60, 61, 62, 63, 87],
+    310: [57, 58, 59, 60, 61, 62, 87],
+    320: [56, 57, 58, 59, 60, 87],
+    330: [53, 54, 55, 56, 57, 58, 87],
+    340: [52, 53, 54, 55, 56, 57, 87],
+    350: [49, 50, 51, 52, 53, 54, 87],
+    360: [46, 47, 48, 49, 50, 51, 52, 53, 87],
+    370: [46, 47, 48, 87],
+    380: [40, 41, 42, 43, 44, 45, 46, 47, 48, 87],
+    390: [38, 39, 40, 41, 42, 43, 44, 87],
+    400: [35, 36, 37, 38, 39, 40, 87],
+    410: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 87],
+    420: [25, 26, 27, 28, 29, 30, 31, 32, 33, 87],
+    430: [22, 23, 24, 25, 26, 27, 87],
+    440: [16, 17, 18, 19, 20, 21, 22, 23, 87],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 87],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 87, 358, 359],
+    480: [0, 1, 2, 3, 87, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [87, 351, 352, 353, 354, 355, 356, 357],
+    500: [351]
+  },
+  230: {
+    0: [77, 78, 79],
+    10: [77, 78],
+    20: [77, 78],
+    30: [76, 77, 78],
+    40: [76, 77],
+    50: [76, 77],
+    60: [76, 77],
+    70: [75, 76],
+    80: [75, 76],
+    90: [74, 75, 76],
+    100: [74, 75],
+    110: [73, 74, 75],
+    120: [73, 74],
+    130: [72, 73, 74],
+    140: [72, 73, 74],
+    150: [71, 72, 73],
+    160: [71, 72, 73],
+    170: [70, 71, 72],
+    180: [70, 71],
+    190: [68, 69, 70, 71],
+    200: [68, 69, 70],
+    210: [67, 68, 69, 70],
+    220: [66, 67, 68, 69],
+    230: [65, 66, 67, 68],
+    240: [64, 65, 66, 67],
+    250: [64, 65, 66],
+    260: [62, 63, 64, 65],
+    270: [62, 63],
+    280: [59, 60, 61, 62, 63],
+    290: [59, 60, 61],
+    300: [56, 57, 58, 59, 60, 61],
+    310: [56, 57, 58],
+    320: [53, 54, 55, 56, 57, 58],
+    330: [52, 53, 54, 55],
+    340: [49, 50, 51, 52, 53, 54],
+    350: [47, 48, 49, 50, 51, 52],
+    360: [44, 45, 46, 47, 48, 49],
+    370: [41, 42, 43, 44, 45, 46, 47],
+    380: [40, 41, 42, 43],
+    390: [35, 36, 37, 38, 39, 40, 41, 42],
+    400: [31, 32, 33, 34, 35, 36, 37, 38],
+    410: [29, 30, 31, 32, 33],
+    420: [24, 25, 26, 27, 28, 29, 30],
+    430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22],
+    450: [10, 11, 12, 13, 14, 15, 16, 17],
+    460: [5, 6, 7, 8, 9, 10, 11],
+    470: [1, 2, 3, 4, 5, 6],
+    480: [0, 355, 356, 357, 358, 359],
+    490: [353, 354, 355, 356]
+  },
+  240: {
+    0: [76, 77, 86],
+    10: [76, 77, 86],
+    20: [76, 77, 86],
+    30: [75, 76, 77, 86],
+    40: [75, 76, 86],
+    50: [75, 76, 86],
+    60: [74, 75, 76, 86],
+    70: [74, 75, 86],
+    80: [73, 74, 75, 86],
+    90: [73, 74, 86],
+    100: [72, 73, 74, 86],
+    110: [72, 73, 74, 86],
+    120: [72, 73, 86],
+    130: [71, 72, 73, 86],
+    140: [70, 71, 72, 86],
+    150: [70, 71, 72, 86],
+    160: [69, 70, 71, 86],
+    170: [69, 70, 86],
+    180: [68, 69, 70, 86],
+    190: [67, 68, 69, 86],
+    200: [66, 67, 68, 86],
+    210: [65, 66, 67, 68, 86],
+    220: [65, 66, 86],
+    230: [63, 64, 65, 66, 86],
+    240: [62, 63, 64, 65, 86],
+    250: [61, 62, 63, 64, 86],
+    260: [60, 61, 62, 63, 86],
+    270: [59, 60, 61, 62, 86],
+    280: [57, 58, 59, 60, 61, 86],
+    290: [56, 57, 58, 59, 60, 86],
+    300: [54, 55, 56, 57, 58, 86],
+    310: [53, 54, 55, 56, 57],
+    320: [51, 52, 53, 54, 55],
+    330: [49, 50, 51, 52, 53, 54],
+    340: [48, 49, 50],
+    350: [44, 45, 46, 47, 48, 49, 50],
+    360: [42, 43, 44, 45, 46, 47],
+    370: [39, 40, 41, 42, 43, 44],
+    380: [36, 37, 38, 39, 40, 41, 42],
+    390: [34, 35, 36, 37, 38],
+    400: [30, 31, 32, 33, 34, 35, 36],
+    410: [25, 26, 27, 28, 29, 30, 31, 32, 33],
+    420: [22, 23, 24, 25, 26, 27, 28, 29],
+    430: [19, 20, 21, 22, 23],
+    440: [14, 15, 16, 17, 18, 19],
+    450: [9, 10, 11, 12, 13, 14, 15, 16],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 359],
+    480: [0, 1, 2, 354, 355, 356, 357, 358, 359],
+    490: [353, 354, 355, 356, 357],
+    500: [353]
+  },
+  250: {
+    0: [75, 76, 86],
+    10: [75, 76, 86],
+    20: [75, 76, 86],
+    30: [74, 75, 86],
+    40: [74, 75, 86],
+    50: [74, 75, 86],
+    60: [73, 74, 86],
+    70: [73, 74, 86],
+    80: [72, 73, 86],
+    90: [72, 73, 86],
+    100: [71, 72, 73, 86],
+    110: [71, 72, 86],
+    120: [70, 71, 72, 86],
+    130: [69, 70, 71, 86],
+    140: [69, 70, 86],
+    150: [68, 69, 70, 86],
+    160: [68, 69, 70, 86],
+    170: [67, 68, 69, 86],
+    180: [66, 67, 68, 86],
+    190: [66, 67, 86],
+    200: [64, 65, 66, 67, 86],
+    210: [64, 65, 66, 86],
+    220: [63, 64, 65, 86],
+    230: [61, 62, 63, 64, 86],
+    240: [61, 62, 63, 86],
+    250: [59, 60, 61, 62, 86],
+    260: [59, 60, 61, 86],
+    270: [57, 58, 59, 60, 86],
+    280: [56, 57, 58, 86],
+    290: [54, 55, 56, 57, 58, 86],
+    300: [53, 54, 55, 56, 86],
+    310: [50, 51, 52, 53, 54, 55, 86],
+    320: [49, 50, 51, 52, 53, 86],
+    330: [47, 48, 49, 50, 51, 86],
+    340: [44, 45, 46, 47, 48, 49, 86],
+    350: [43, 44, 45, 46, 86],
+    360: [39, 40, 41, 42, 43, 44, 45, 86],
+    370: [37, 38, 39, 40, 41, 42, 86],
+    380: [35, 36, 37, 38, 39, 86],
+    390: [31, 32, 33, 34, 35, 36, 37, 86],
+    400: [28, 29, 30, 31, 32, 33, 86],
+    410: [26, 27, 28, 86],
+    420: [20, 21, 22, 23, 24, 25, 26, 27, 86],
+    430: [16, 17, 18, 19, 20, 21, 22, 23, 86],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 86],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 86],
+    460: [4, 5, 6, 7, 8, 9, 10, 86],
+    470: [0, 1, 2, 3, 4, 5, 86],
+    480: [0, 1, 86, 356, 357, 358, 359],
+    490: [86, 354, 355, 356, 357],
+    500: [86]
+  },
+  260: {
+    0: [74, 75],
+    10: [74, 75],
+    20: [73, 74, 75],
+    30: [73, 74],
+    40: [73, 74],
+    50: [72, 73, 74],
+    60: [72, 73],
+    70: [71, 72, 73],
+    80: [71, 72],
+    90: [70, 71, 72],
+    100: [70, 71],
+    110: [69, 70, 71],
+    120: [69, 70],
+    130: [68, 69, 70],
+    140: [68, 69],
+    150: [67, 68, 69],
+    160: [67, 68],
+    170: [65, 66, 67, 68],
+    180: [65, 66, 67],
+    190: [64, 65, 66],
+    200: [63, 64, 65],
+    210: [62, 63, 64],
+    220: [61, 62, 63, 64],
+    230: [60, 61, 62],
+    240: [59, 60, 61, 62],
+    250: [58, 59, 60],
+    260: [56, 57, 58, 59, 60],
+    270: [55, 56, 57, 58],
+    280: [53, 54, 55, 56, 57],
+    290: [52, 53, 54, 55],
+    300: [50, 51, 52, 53, 54],
+    310: [50, 51],
+    320: [47, 48, 49, 50, 51],
+    330: [45, 46, 47, 48, 49, 86],
+    340: [43, 44, 45, 46, 47, 86],
+    350: [40, 41, 42, 43, 44, 45, 86],
+    360: [39, 40, 41],
+    370: [35, 36, 37, 38, 39, 40, 86],
+    380: [32, 33, 34, 35, 36, 37, 38, 86],
+    390: [31, 32, 33, 86],
+    400: [26, 27, 28, 29, 30, 31, 32, 86],
+    410: [22, 23, 24, 25, 26, 27, 28, 29, 86],
+    420: [19, 20, 21, 22, 23, 24, 25, 86],
+    430: [17, 18, 19, 20, 86],
+    440: [13, 14, 15, 16, 17, 86],
+    450: [8, 9, 10, 11, 12, 13, 14, 86],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 86, 359],
+    480: [0, 1, 2, 86, 355, 356, 357, 358, 359],
+    490: [86, 354, 355, 356, 357, 358],
+    500: [354]
+  },
+  270: {
+    0: [73, 74, 85],
+    10: [73, 74, 85],
+    20: [72, 73, 74, 85],
+    30: [72, 73, 85],
+    40: [72, 73, 85],
+    50: [71, 72, 73, 85],
+    60: [71, 72, 85],
+    70: [70, 71, 72, 85],
+    80: [70, 71, 85],
+    90: [69, 70, 71, 85],
+    100: [69, 70, 85],
+    110: [68, 69, 70, 85],
+    120: [67, 68, 69, 85],
+    130: [67, 68, 85],
+    140: [66, 67, 68, 85],
+    150: [66, 67, 85],
+    160: [65, 66, 67, 85],
+    170: [64, 65, 66, 85],
+    180: [63, 64, 65],
+    190: [62, 63, 64, 65, 85],
+    200: [62, 63],
+    210: [60, 61, 62, 63],
+    220: [59, 60, 61, 62],
+    230: [58, 59, 60, 61],
+    240: [57, 58, 59, 60],
+    250: [56, 57, 58, 59],
+    260: [55, 56, 57, 58],
+    270: [53, 54, 55, 56],
+    280: [52, 53, 54, 55],
+    290: [50, 51, 52, 53, 54],
+    300: [49, 50, 51, 52],
+    310: [47, 48, 49, 50, 51],
+    320: [46, 47, 48],
+    330: [43, 44, 45, 46, 47],
+    340: [41, 42, 43, 44, 45],
+    350: [39, 40, 41, 42, 43],
+    360: [36, 37, 38, 39, 40, 41],
+    370: [35, 36, 37],
+    380: [31, 32, 33, 34, 35, 36],
+    390: [28, 29, 30, 31, 32, 33],
+    400: [25, 26, 27, 28, 29, 30],
+    410: [23, 24, 25, 26],
+    420: [18, 19, 20, 21, 22, 23, 24],
+    430: [14, 15, 16, 17, 18, 19, 20, 21],
+    440: [11, 12, 13, 14, 15, 16, 17],
+    450: [7, 8, 9, 10, 11, 12, 13],
+    460: [4, 5, 6, 7, 8, 9],
+    470: [0, 1, 2, 3, 4, 5],
+    480: [0, 1, 356, 357, 358, 359],
+    490: [355, 356, 357, 358]
+  },
+  280: {
+    0: [72, 73, 85],
+    10: [72, 73, 85],
+    20: [72, 85],
+    30: [71, 72, 85],
+    40: [71, 72, 85],
+    50: [70, 71, 85],
+    60: [70, 71, 85],
+    70: [69, 70, 71, 85],
+    80: [69, 70, 85],
+    90: [68, 69, 85],
+    100: [67, 68, 69, 85],
+    110: [67, 68, 85],
+    120: [66, 67, 68, 85],
+    130: [65, 66, 67, 85],
+    140: [65, 66, 67, 85],
+    150: [64, 65, 66, 85],
+    160: [63, 64, 65, 85],
+    170: [63, 64, 85],
+    180: [62, 63, 64, 85],
+    190: [61, 62, 63, 85],
+    200: [60, 61, 62, 85],
+    210: [59, 60, 61, 85],
+    220: [58, 59, 60, 85],
+    230: [57, 58, 59, 85],
+    240: [56, 57, 58, 85],
+    250: [54, 55, 56, 57, 85],
+    260: [54, 55, 85],
+    270: [51, 52, 53, 54, 55, 85],
+    280: [51, 52, 53, 85],
+    290: [48, 49, 50, 51, 52, 85],
+    300: [47, 48, 49, 50, 85],
+    310: [45, 46, 47, 48, 49, 85],
+    320: [43, 44, 45, 46, 47, 85],
+    330: [42, 43, 44, 85],
+    340: [39, 40, 41, 42, 43, 85],
+    350: [37, 38, 39, 40, 41, 85],
+    360: [35, 36, 37, 38, 85],
+    370: [32, 33, 34, 35, 36, 37, 85],
+    380: [30, 31, 32, 33, 34, 85],
+    390: [27, 28, 29, 30, 85],
+    400: [23, 24, 25, 26, 27, 28, 29, 85],
+    410: [20, 21, 22, 23, 24, 25, 26, 85],
+    420: [17, 18, 19, 20, 21, 22, 85],
+    430: [15, 16, 17, 18, 85],
+    440: [12, 13, 14, 15, 85],
+    450: [7, 8, 9, 10, 11, 12, 85],
+    460: [4, 5, 6, 7, 8, 9, 85],
+    470: [0, 1, 2, 3, 4, 5, 85],
+    480: [0, 1, 2, 85, 356, 357, 358, 359],
+    490: [85, 355, 356, 357, 358]
+  },
+  290: {
+    0: [71, 72],
+    10: [71, 72],
+    20: [70, 71, 72],
+    30: [70, 71],
+    40: [70, 71],
+    50: [69, 70],
+    60: [68, 69, 70],
+    70: [68, 69],
+    80: [68, 69],
+    90: [67, 68],
+    100: [66, 67, 68],
+    110: [66, 67],
+    120: [65, 66, 67],
+    130: [64, 65, 66],
+    140: [64, 65],
+    150: [63, 64, 65],
+    160: [62, 63, 64],
+    170: [61, 62, 63],
+    180: [60, 61, 62],
+    190: [60, 61],
+    200: [58, 59, 60, 61, 85],
+    210: [58, 59],
+    220: [56, 57, 58, 59, 85],
+    230: [56, 57, 85],
+    240: [54, 55, 56, 57, 85],
+    250: [53, 54, 55, 85],
+    260: [51, 52, 53, 54, 85],
+    270: [50, 51, 52, 85],
+    280: [48, 49, 50, 51, 52, 85],
+    290: [48, 49, 85],
+    300: [45, 46, 47, 48, 49, 85],
+    310: [44, 45, 46, 47, 85],
+    320: [42, 43, 44, 45, 85],
+    330: [40, 41, 42, 43, 85],
+    340: [39, 40, 85],
+    350: [35, 36, 37, 38, 39, 85],
+    360: [33, 34, 35, 36, 37, 85],
+    370: [32, 33, 34, 85],
+    380: [28, 29, 30, 31, 32, 85],
+    390: [25, 26, 27, 28, 29, 30, 85],
+    400: [23, 24, 25, 26, 27, 85],
+    410: [21, 22, 23, 85],
+    420: [17, 18, 19, 20, 21, 85],
+    430: [13, 14, 15, 16, 17, 18, 85],
+    440: [10, 11, 12, 13, 14, 15, 85],
+    450: [7, 8, 9, 10, 11, 12, 85],
+    460: [3, 4, 5, 6, 7, 8, 9, 85],
+    470: [0, 1, 2, 3, 4, 5, 85],
+    480: [0, 1, 2, 85, 357, 358, 359],
+    490: [85, 356, 357, 358]
+  },
+  300: {
+    0: [71, 84],
+    10: [70, 71, 84],
+    20: [69, 70, 71, 84],
+    30: [69, 70, 84],
+    40: [69, 70, 84],
+    50: [68, 69, 84],
+    60: [67, 68, 69, 84],
+    70: [67, 68, 84],
+    80: [66, 67, 68, 84],
+    90: [66, 67, 84],
+    100: [65, 66, 84],
+    110: [64, 65, 66, 84],
+    120: [64, 65],
+    130: [63, 64],
+    140: [62, 63, 64],
+    150: [62, 63],
+    160: [61, 62],
+    170: [60, 61, 62],
+    180: [59, 60, 61],
+    190: [58, 59, 60],
+    200: [57, 58, 59],
+    210: [56, 57, 58],
+    220: [55, 56, 57],
+    230: [54, 55, 56],
+    240: [53, 54, 55],
+    250: [51, 52, 53, 54],
+    260: [50, 51, 52],
+    270: [49, 50, 51],
+    280: [47, 48, 49, 50],
+    290: [45, 46, 47, 48, 49],
+    300: [45, 46],
+    310: [42, 43, 44, 45],
+    320: [40, 41, 42, 43],
+    330: [38, 39, 40, 41, 42],
+    340: [36, 37, 38, 39, 40],
+    350: [35, 36, 37],
+    360: [32, 33, 34, 35],
+    370: [29, 30, 31, 32, 33, 34],
+    380: [27, 28, 29, 30, 31],
+    390: [25, 26, 27, 28],
+    400: [21, 22, 23, 24, 25, 26],
+    410: [18, 19, 20, 21, 22, 23],
+    420: [16, 17, 18, 19, 20],
+    430: [13, 14, 15, 16, 17],
+    440: [11, 12, 13],
+    450: [7, 8, 9, 10],
+    460: [4, 5, 6, 7, 8],
+    470: [0, 1, 2, 3, 4, 5],
+    480: [0, 1, 2, 357, 358, 359],
+    490: [356, 357, 358]
+  },
+  310: {
+    0: [69, 70, 84],
+    10: [69, 70, 84],
+    20: [68, 69, 84],
+    30: [68, 69, 84],
+    40: [67, 68, 69, 84],
+    50: [67, 68, 84],
+    60: [66, 67, 84],
+    70: [66, 67, 84],
+    80: [65, 66, 67, 84],
+    90: [65, 66, 84],
+    100: [64, 65, 84],
+    110: [63, 64, 65, 84],
+    120: [63, 64, 84],
+    130: [62, 63, 64, 84],
+    140: [61, 62, 63, 84],
+    150: [61, 62, 84],
+    160: [59, 60, 61, 84],
+    170: [59, 60, 84],
+    180: [58, 59, 60, 84],
+    190: [57, 58, 59, 84],
+    200: [56, 57, 58, 84],
+    210: [55, 56, 57, 84],
+    220: [54, 55, 56, 84],
+    230: [52, 53, 54, 55, 84],
+    240: [51, 52, 53, 84],
+    250: [50, 51, 52, 84],
+    260: [49, 50, 51, 84],
+    270: [47, 48, 49, 50, 84],
+    280: [46, 47, 48, 84],
+    290: [44, 45, 46, 47, 84],
+    300: [42, 43, 44, 45, 46, 84],
+    310: [42, 43, 84],
+    320: [39, 40, 41, 42, 84],
+    330: [37, 38, 39, 40, 84],
+    340: [35, 36, 37, 38, 84],
+    350: [33, 34, 35, 36, 84],
+    360: [31, 32, 33, 34, 84],
+    370: [29, 30, 31, 84],
+    380: [26, 27, 28, 29, 30, 84],
+    390: [23, 24, 25, 26, 27, 84],
+    400: [21, 22, 23, 24, 25, 84],
+    410: [19, 20, 21, 84],
+    420: [15, 16, 17, 18, 19, 84],
+    430: [12, 13, 14, 15, 16, 17, 84],
+    440: [9, 10, 11, 12, 13, 14, 84],
+    450: [6, 7, 8, 9, 10, 11, 84],
+    460: [3, 4, 5, 6, 7, 8, 84],
+    470: [0, 1, 2, 3, 4, 5, 84],
+    480: [0, 1, 2, 84, 357, 358, 359],
+    490: [84, 357, 358, 359]
+  },
+  320: {
+    0: [68, 69],
+    10: [68, 69],
+    20: [68],
+    30: [67, 68],
+    40: [66, 67, 68],
+    50: [66, 67],
+    60: [65, 66, 67],
+    70: [65, 66],
+    80: [64, 65],
+    90: [64, 65],
+    100: [63, 64],
+    110: [62, 63],
+    120: [61, 62, 63],
+    130: [61, 62],
+    140: [60, 61, 84],
+    150: [59, 60, 61, 84],
+    160: [58, 59, 60, 84],
+    170: [57, 58, 59, 84],
+    180: [56, 57, 58, 84],
+    190: [56, 57, 84],
+    200: [54, 55, 56, 57, 84],
+    210: [54, 55, 84],
+    220: [52, 53, 54, 55, 84],
+    230: [52, 53, 84],
+    240: [50, 51, 52, 84],
+    250: [49, 50, 51, 84],
+    260: [47, 48, 49, 50, 84],
+    270: [46, 47, 48, 84],
+    280: [44, 45, 46, 47, 84],
+    290: [43, 44, 45, 46, 84],
+    300: [41, 42, 43, 44, 84],
+    310: [39, 40, 41, 42, 43, 84],
+    320: [38, 39, 40, 84],
+    330: [36, 37, 38, 39, 84],
+    340: [34, 35, 36, 37, 84],
+    350: [32, 33, 34, 84],
+    360: [29, 30, 31, 32, 33, 84],
+    370: [27, 28, 29, 30, 31, 84],
+    380: [25, 26, 27, 28, 84],
+    390: [23, 24, 25, 84],
+    400: [20, 21, 22, 23, 24, 84],
+    410: [17, 18, 19, 20, 21, 84],
+    420: [14, 15, 16, 17, 18, 19, 84],
+    430: [12, 13, 14, 15, 16, 84],
+    440: [10, 11, 12, 13, 84],
+    450: [7, 8, 9, 84],
+    460: [4, 5, 6, 7, 84],
+    470: [1, 2, 3, 4, 84],
+    480: [0, 1, 84, 358, 359],
+    490: [84, 357, 358]
+  },
+  330: {
+    0: [68, 83],
+    10: [67, 68, 83],
+    20: [67, 68, 83],
+    30: [66, 67, 83],
+    40: [66, 83],
+    50: [65, 66, 83],
+    60: [64, 65, 66, 83],
+    70: [64, 65, 83],
+    80: [63, 64],
+    90: [62, 63, 64],
+    100: [62, 63],
+    110: [61, 62, 63],
+    120: [60, 61, 62],
+    130: [60, 61],
+    140: [59, 60],
+    150: [58, 59, 60],
+    160: [57, 58, 59],
+    170: [56, 57, 58],
+    180: [56, 57],
+    190: [54, 55, 56],
+    200: [54, 55],
+    210: [52, 53, 54],
+    220: [51, 52, 53],
+    230: [50, 51, 52],
+    240: [49, 50],
+    250: [47, 48, 49, 50],
+    260: [47, 48],
+    270: [44, 45, 46, 47],
+    280: [43, 44, 45],
+    290: [41, 42, 43, 44],
+    300: [40, 41, 42, 43],
+    310: [38, 39, 40],
+    320: [36, 37, 38, 39],
+    330: [35, 36, 37],
+    340: [33, 34, 35],
+    350: [30, 31, 32, 33, 34],
+    360: [29, 30, 31, 32],
+    370: [27, 28, 29],
+    380: [24, 25, 26, 27],
+    390: [21, 22, 23, 24, 25],
+    400: [19, 20, 21, 22, 23],
+    410: [17, 18, 19, 20],
+    420: [14, 15, 16, 17],
+    430: [11, 12, 13, 14, 15],
+    440: [9, 10, 11, 12, 13],
+    450: [6, 7, 8, 9, 10],
+    460: [3, 4, 5, 6, 7, 8],
+    470: [0, 1, 2, 3, 4, 5],
+    480: [0, 1, 2, 358, 359],
+    490: [357, 358, 359],
+    500: [357]
+  },
+  340: {
+    0: [67, 68, 83],
+    10: [66, 67, 83],
+    20: [66, 67, 83],
+    30: [65, 66, 83],
+    40: [65, 66, 83],
+    50: [64, 65, 83],
+    60: [63, 64, 83],
+    70: [63, 64, 83],
+    80: [62, 63, 83],
+    90: [61, 62, 63, 83],
+    100: [61, 62, 83],
+    110: [60, 61, 83],
+    120: [59, 60, 83],
+    130: [58, 59, 60, 83],
+    140: [58, 59, 83],
+    150: [57, 58, 83],
+    160: [56, 57, 58, 83],
+    170: [55, 56, 83],
+    180: [54, 55, 56, 83],
+    190: [53, 54, 55, 83],
+    200: [52, 53, 54, 83],
+    210: [51, 52, 53, 83],
+    220: [50, 51, 52, 83],
+    230: [49, 50, 51, 83],
+    240: [47, 48, 49, 50, 83],
+    250: [46, 47, 48, 83],
+    260: [45, 46, 47, 83],
+    270: [44, 45, 83],
+    280: [42, 43, 44, 83],
+    290: [41, 42, 43, 83],
+    300: [39, 40, 41, 83],
+    310: [37, 38, 39, 40, 83],
+    320: [36, 37, 83],
+    330: [33, 34, 35, 36, 83],
+    340: [31, 32, 33, 34, 35, 83],
+    350: [30, 31, 32, 83],
+    360: [27, 28, 29, 30, 31, 83],
+    370: [25, 26, 27, 28, 29, 83],
+    380: [23, 24, 25, 26, 83],
+    390: [22, 23, 83],
+    400: [18, 19, 20, 21, 22, 83],
+    410: [16, 17, 18, 19, 20, 83],
+    420: [13, 14, 15, 16, 17, 83],
+    430: [11, 12, 13, 14, 15, 83],
+    440: [9, 10, 11, 12, 83],
+    450: [7, 8, 9, 83],
+    460: [4, 5, 6],
+    470: [2, 3],
+    480: [0, 1, 359],
+    490: [357, 358]
+  },
+  350: {
+    0: [66, 67],
+    10: [65, 66],
+    20: [65, 66],
+    30: [64, 65],
+    40: [64, 65],
+    50: [63, 64],
+    60: [62, 63, 64],
+    70: [62, 63],
+    80: [61, 62],
+    90: [61, 62, 83],
+    100: [60, 61, 83],
+    110: [59, 60, 83],
+    120: [58, 59, 60, 83],
+    130: [57, 58, 59, 83],
+    140: [57, 58, 83],
+    150: [56, 57, 83],
+    160: [55, 56, 83],
+    170: [54, 55, 56, 83],
+    180: [53, 54, 55, 83],
+    190: [52, 53, 54, 83],
+    200: [51, 52, 53, 83],
+    210: [50, 51, 52, 83],
+    220: [49, 50, 51, 83],
+    230: [48, 49, 50, 83],
+    240: [46, 47, 48, 83],
+    250: [45, 46, 47, 83],
+    260: [44, 45, 46, 83],
+    270: [42, 43, 44, 45, 83],
+    280: [41, 42, 43, 83],
+    290: [39, 40, 41, 42, 83],
+    300: [38, 39, 40, 83],
+    310: [36, 37, 38, 83],
+    320: [34, 35, 36, 37, 83],
+    330: [33, 34, 35, 83],
+    340: [31, 32, 33, 83],
+    350: [28, 29, 30, 31, 32, 83],
+    360: [27, 28, 29, 30, 83],
+    370: [25, 26, 27, 83],
+    380: [22, 23, 24, 25, 83],
+    390: [20, 21, 22, 23, 24, 83],
+    400: [18, 19, 20, 21, 83],
+    410: [16, 17, 18, 19, 83],
+    420: [14, 15, 16, 83],
+    430: [11, 12, 13, 14, 83],
+    440: [8, 9, 10, 11, 12, 83],
+    450: [6, 7, 8, 9, 83],
+    460: [3, 4, 5, 6, 7, 83],
+    470: [1, 2, 3, 4, 5, 83],
+    480: [0, 1, 2, 83, 358, 359],
+    490: [0, 83, 358, 359]
+  },
+  360: {
+    0: [65, 66, 82],
+    10: [64, 65, 82],
+    20: [64, 65, 82],
+    30: [63, 64, 82],
+    40: [63, 64, 82],
+    50: [62, 63],
+    60: [61, 62, 63],
+    70: [61, 62],
+    80: [60, 61],
+    90: [59, 60, 61],
+    100: [59, 60],
+    110: [58, 59],
+    120: [57, 58, 59],
+    130: [57, 58],
+    140: [55, 56, 57],
+    150: [55, 56],
+    160: [54, 55],
+    170: [53, 54],
+    180: [52, 53, 54],
+    190: [51, 52, 53],
+    200: [50, 51, 52],
+    210: [49, 50, 51],
+    220: [48, 49],
+    230: [46, 47, 48],
+    240: [45, 46, 47],
+    250: [44, 45, 46],
+    260: [42, 43, 44, 45],
+    270: [41, 42, 43],
+    280: [39, 40, 41, 42],
+    290: [39, 40],
+    300: [36, 37, 38, 39],
+    310: [35, 36, 37, 38],
+    320: [34, 35],
+    330: [31, 32, 33, 34],
+    340: [30, 31, 32],
+    350: [28, 29, 30],
+    360: [26, 27, 28, 29],
+    370: [24, 25, 26, 27],
+    380: [22, 23, 24, 25],
+    390: [20, 21, 22],
+    400: [18, 19, 20],
+    410: [15, 16, 17, 18],
+    420: [13, 14, 15, 16],
+    430: [10, 11, 12, 13, 14],
+    440: [8, 9, 10, 11, 12],
+    450: [6, 7, 8, 9],
+    460: [4, 5, 6, 7],
+    470: [2, 3, 4],
+    480: [0, 1, 2, 359],
+    490: [358, 359]
+  },
+  370: {
+    0: [64, 65, 82],
+    10: [63, 64, 65, 82],
+    20: [63, 64, 82],
+    30: [63, 82],
+    40: [62, 63, 82],
+    50: [61, 62, 82],
+    60: [61, 82],
+    70: [60, 61, 82],
+    80: [59, 60, 82],
+    90: [59, 82],
+    100: [58, 59, 82],
+    110: [57, 58, 82],
+    120: [56, 57, 82],
+    130: [55, 56, 57, 82],
+    140: [55, 56, 82],
+    150: [54, 55, 82],
+    160: [53, 54, 82],
+    170: [52, 53, 82],
+    180: [51, 52, 53, 82],
+    190: [50, 51, 82],
+    200: [49, 50, 51, 82],
+    210: [48, 49, 82],
+    220: [46, 47, 48, 82],
+    230: [46, 47, 82],
+    240: [44, 45, 46, 82],
+    250: [43, 44, 45, 82],
+    260: [41, 42, 43, 82],
+    270: [40, 41, 42, 82],
+    280: [39, 40, 82],
+    290: [37, 38, 39, 40, 82],
+    300: [36, 37, 38, 82],
+    310: [34, 35, 36, 82],
+    320: [32, 33, 34, 35, 82],
+    330: [31, 32, 33, 82],
+    340: [29, 30, 31, 82],
+    350: [27, 28, 29, 30],
+    360: [25, 26, 27, 28],
+    370: [24, 25],
+    380: [21, 22, 23, 24],
+    390: [19, 20, 21, 22],
+    400: [17, 18, 19, 20],
+    410: [15, 16, 17, 18],
+    420: [13, 14, 15],
+    430: [11, 12, 13],
+    440: [8, 9, 10, 11],
+    450: [6, 7, 8, 9],
+    460: [3, 4, 5, 6, 7],
+    470: [1, 2, 3, 4],
+    480: [0, 1, 2, 359],
+    490: [0, 358, 359]
+  },
+  380: {
+    0: [63, 64],
+    10: [63],
+    20: [62, 63],
+    30: [62, 63],
+    40: [61, 62],
+    50: [60, 61],
+    60: [60, 61, 82],
+    70: [59, 60],
+    80: [58, 59, 82],
+    90: [58, 59, 82],
+    100: [57, 58, 82],
+    110: [56, 57, 82],
+    120: [55, 56, 57, 82],
+    130: [54, 55, 56, 82],
+    140: [54, 55, 82],
+    150: [53, 54, 82],
+    160: [52, 53, 82],
+    170: [51, 52, 82],
+    180: [50, 51, 82],
+    190: [49, 50, 51, 82],
+    200: [48, 49, 82],
+    210: [47, 48, 49, 82],
+    220: [46, 47, 82],
+    230: [44, 45, 46, 82],
+    240: [43, 44, 45, 82],
+    250: [42, 43, 44, 82],
+    260: [41, 42, 43, 82],
+    270: [39, 40, 41, 82],
+    280: [38, 39, 40, 82],
+    290: [37, 38, 82],
+    300: [35, 36, 37, 82],
+    310: [33, 34, 35, 36, 82],
+    320: [32, 33, 82],
+    330: [30, 31, 32, 82],
+    340: [28, 29, 30, 31, 82],
+    350: [27, 28, 82],
+    360: [24, 25, 26, 27, 82],
+    370: [22, 23, 24, 25, 82],
+    380: [20, 21, 22, 23, 82],
+    390: [19, 20, 21, 82],
+    400: [17, 18, 82],
+    410: [14, 15, 16, 17, 82],
+    420: [12, 13, 14, 15, 82],
+    430: [10, 11, 12, 13, 82],
+    440: [8, 9, 10, 11, 82],
+    450: [6, 7, 8, 9, 82],
+    460: [4, 5, 6, 7, 82],
+    470: [1, 2, 3, 4, 82],
+    480: [0, 1, 2, 82, 359],
+    490: [0, 82, 359]
+  },
+  390: {
+    0: [63, 81],
+    10: [62, 63, 81],
+    20: [61, 62, 81],
+    30: [61, 62, 81],
+    40: [60, 61],
+    50: [59, 60, 61],
+    60: [59, 60],
+    70: [58, 59],
+    80: [57, 58, 59],
+    90: [57, 58],
+    100: [56, 57],
+    110: [55, 56],
+    120: [54, 55],
+    130: [54, 55],
+    140: [53, 54],
+    150: [52, 53],
+    160: [51, 52],
+    170: [50, 51],
+    180: [49, 50, 51],
+    190: [48, 49],
+    200: [47, 48, 49],
+    210: [46, 47],
+    220: [44, 45, 46],
+    230: [44, 45],
+    240: [42, 43, 44],
+    250: [41, 42, 43],
+    260: [39, 40, 41],
+    270: [38, 39, 40],
+    280: [37, 38],
+    290: [35, 36, 37, 38],
+    300: [34, 35, 36],
+    310: [32, 33, 34],
+    320: [30, 31, 32, 33],
+    330: [29, 30, 31],
+    340: [27, 28, 29],
+    350: [25, 26, 27, 28],
+    360: [24, 25, 26],
+    370: [22, 23, 24, 82],
+    380: [20, 21, 22, 82],
+    390: [18, 19, 20, 21, 82],
+    400: [16, 17, 18, 19, 82],
+    410: [14, 15, 16, 17, 82],
+    420: [12, 13, 14, 15, 82],
+    430: [10, 11, 12, 82],
+    440: [8, 9, 10, 82],
+    450: [6, 7, 8, 82],
+    460: [4, 5, 6, 82],
+    470: [1, 2, 3, 4, 82],
+    480: [0, 1, 2, 82, 359],
+    490: [0, 82, 359]
+  },
+  400: {
+    0: [62, 63, 81],
+    10: [61, 62, 81],
+    20: [61, 81],
+    30: [60, 61, 81],
+    40: [59, 60, 81],
+    50: [59, 60, 81],
+    60: [58, 59, 81],
+    70: [57, 58, 81],
+    80: [57, 58, 81],
+    90: [56, 57, 81],
+    100: [55, 56, 81],
+    110: [54, 55, 81],
+    120: [53, 54, 55, 81],
+    130: [53, 54, 81],
+    140: [52, 53, 81],
+    150: [51, 52, 81],
+    160: [50, 51, 81],
+    170: [49, 50, 51, 81],
+    180: [48, 49, 81],
+    190: [47, 48, 49, 81],
+    200: [46, 47, 81],
+    210: [45, 46, 47, 81],
+    220: [44, 45, 81],
+    230: [42, 43, 44, 81],
+    240: [42, 43, 81],
+    250: [40, 41, 42, 81],
+    260: [39, 40, 41, 81],
+    270: [37, 38, 39, 81],
+    280: [36, 37, 38],
+    290: [35, 36],
+    300: [33, 34, 35],
+    310: [31, 32, 33, 34],
+    320: [30, 31, 32],
+    330: [28, 29, 30],
+    340: [26, 27, 28, 29],
+    350: [25, 26, 27],
+    360: [23, 24, 25],
+    370: [21, 22, 23, 24],
+    380: [19, 20, 21, 22],
+    390: [18, 19, 20],
+    400: [16, 17, 18],
+    410: [14, 15, 16],
+    420: [12, 13, 14],
+    430: [10, 11, 12],
+    440: [7, 8, 9, 10],
+    450: [5, 6, 7, 8],
+    460: [3, 4, 5, 6],
+    470: [1, 2, 3, 4],
+    480: [0, 1, 2, 359],
+    490: [0, 359]
+  },
+  410: {
+    0: [61, 62],
+    10: [60, 61],
+    20: [60, 61],
+    30: [59, 60],
+    40: [58, 59],
+    50: [58, 59, 81],
+    60: [57, 58, 81],
+    70: [56, 57, 81],
+    80: [56, 57, 81],
+    90: [55, 56, 81],
+    100: [54, 55, 81],
+    110: [53, 54, 55, 81],
+    120: [53, 54, 81],
+    130: [52, 53, 81],
+    140: [51, 52, 81],
+    150: [50, 51, 81],
+    160: [49, 50, 81],
+    170: [48, 49, 81],
+    180: [47, 48, 49, 81],
+    190: [46, 47, 81],
+    200: [45, 46, 47, 81],
+    210: [44, 45, 81],
+    220: [43, 44, 81],
+    230: [42, 43, 81],
+    240: [40, 41, 42, 81],
+    250: [39, 40, 41, 81],
+    260: [38, 39, 40, 81],
+    270: [36, 37, 38, 81],
+    280: [35, 36, 37, 81],
+    290: [34, 35, 36, 81],
+    300: [32, 33, 34, 81],
+    310: [31, 32, 81],
+    320: [29, 30, 31, 81],
+    330: [28, 29, 30, 81],
+    340: [26, 27, 28, 81],
+    350: [24, 25, 26, 81],
+    360: [22, 23, 24, 25, 81],
+    370: [21, 22, 23, 81],
+    380: [20, 21, 81],
+    390: [17, 18, 19, 81],
+    400: [15, 16, 17, 18, 81],
+    410: [13, 14, 15, 16, 81],
+    420: [11, 12, 13, 14, 81],
+    430: [10, 11, 12, 81],
+    440: [8, 9, 10, 81],
+    450: [6, 7, 8, 81],
+    460: [4, 5, 81],
+    470: [2, 3, 4, 81],
+    480: [0, 1, 2, 81],
+    490: [0, 81, 359]
+  },
+  420: {
+    0: [60, 61, 80],
+    10: [59, 60, 80],
+    20: [59, 60, 80],
+    30: [58, 59, 80],
+    40: [58, 59],
+    50: [57, 58],
+    60: [56, 57],
+    70: [56, 57],
+    80: [55, 56],
+    90: [54, 55],
+    100: [53, 54, 55],
+    110: [53, 54],
+    120: [52, 53],
+    130: [51, 52],
+    140: [50, 51],
+    150: [49, 50],
+    160: [48, 49],
+    170: [47, 48, 49],
+    180: [46, 47],
+    190: [45, 46, 47],
+    200: [44, 45],
+    210: [43, 44, 45],
+    220: [42, 43],
+    230: [41, 42],
+    240: [40, 41],
+    250: [38, 39, 40],
+    260: [37, 38, 39],
+    270: [36, 37],
+    280: [34, 35, 36],
+    290: [33, 34, 35],
+    300: [31, 32, 33, 81],
+    310: [30, 31, 32, 81],
+    320: [29, 30, 81],
+    330: [27, 28, 29, 81],
+    340: [25, 26, 27, 28, 81],
+    350: [24, 25, 26, 81],
+    360: [23, 24, 81],
+    370: [20, 21, 22, 81],
+    380: [18, 19, 20, 21, 81],
+    390: [17, 18, 19, 81],
+    400: [15, 16, 17, 81],
+    410: [14, 15, 81],
+    420: [12, 13, 81],
+    430: [9, 10, 11, 12, 81],
+    440: [7, 8, 9, 10, 81],
+    450: [5, 6, 7, 8, 81],
+    460: [3, 4, 5, 6, 81],
+    470: [2, 3, 4, 81],
+    480: [0, 1, 2, 81],
+    490: [0, 1, 81, 359],
+    500: [359]
+  },
+  430: {
+    0: [59, 60, 80],
+    10: [59, 80],
+    20: [58, 59, 80],
+    30: [57, 58, 80],
+    40: [57, 58, 80],
+    50: [56, 57, 80],
+    60: [55, 56, 57, 80],
+    70: [55, 56, 80],
+    80: [54, 55, 80],
+    90: [53, 54, 80],
+    100: [53, 54, 80],
+    110: [52, 53, 80],
+    120: [51, 52, 80],
+    130: [50, 51, 80],
+    140: [49, 50, 80],
+    150: [48, 49, 80],
+    160: [47, 48, 49, 80],
+    170: [46, 47, 48, 80],
+    180: [45, 46, 47, 80],
+    190: [44, 45, 46, 80],
+    200: [43, 44, 45, 80],
+    210: [42, 43, 80],
+    220: [41, 42, 43, 80],
+    230: [40, 41, 80],
+    240: [39, 40],
+    250: [38, 39],
+    260: [36, 37, 38],
+    270: [35, 36, 37],
+    280: [34, 35],
+    290: [32, 33, 34],
+    300: [31, 32, 33],
+    310: [30, 31],
+    320: [28, 29, 30],
+    330: [26, 27, 28],
+    340: [25, 26, 27],
+    350: [23, 24, 25],
+    360: [21, 22, 23, 24],
+    370: [20, 21, 22],
+    380: [18, 19, 20],
+    390: [17, 18],
+    400: [15, 16, 17],
+    410: [13, 14, 15],
+    420: [11, 12, 13, 14],
+    430: [9, 10, 11, 12],
+    440: [7, 8, 9, 10],
+    450: [6, 7, 8],
+    460: [4, 5, 6],
+    470: [2, 3, 4],
+    480: [1, 2],
+    490: [0]
+  },
+  440: {
+    0: [59],
+    10: [58, 59],
+    20: [57, 58],
+    30: [57, 58],
+    40: [56, 57, 80],
+    50: [55, 56, 80],
+    60: [55, 56, 80],
+    70: [54, 55, 80],
+    80: [53, 54, 80],
+    90: [53, 80],
+    100: [52, 53, 80],
+    110: [51, 52, 80],
+    120: [50, 51, 80],
+    130: [49, 50, 80],
+    140: [49, 80],
+    150: [47, 48, 49, 80],
+    160: [47, 48, 80],
+    170: [46, 47, 80],
+    180: [45, 46, 80],
+    190: [44, 45, 80],
+    200: [43, 44, 80],
+    210: [41, 42, 43, 80],
+    220: [40, 41, 42, 80],
+    230: [39, 40, 41, 80],
+    240: [38, 39, 80],
+    250: [37, 38, 80],
+    260: [36, 37, 80],
+    270: [34, 35, 36, 80],
+    280: [33, 34, 35, 80],
+    290: [32, 33, 80],
+    300: [30, 31, 32, 80],
+    310: [29, 30, 31, 80],
+    320: [27, 28, 29, 80],
+    330: [26, 27, 80],
+    340: [24, 25, 26, 80],
+    350: [23, 24, 25, 80],
+    360: [21, 22, 23, 80],
+    370: [20, 21, 80],
+    380: [18, 19, 20, 80],
+    390: [16, 17, 18, 80],
+    400: [14, 15, 16, 17, 80],
+    410: [13, 14, 15, 80],
+    420: [11, 12, 13, 80],
+    430: [10, 11, 80],
+    440: [7, 8, 9, 80],
+    450: [6, 7, 8, 80],
+    460: [4, 5, 6, 80],
+    470: [2, 3, 4, 80],
+    480: [0, 1, 2, 80],
+    490: [0, 1, 80]
+  },
+  450: {
+    0: [58, 59, 79],
+    10: [57, 58, 79],
+    20: [57, 58, 79],
+    30: [56, 57],
+    40: [55, 56],
+    50: [55, 56],
+    60: [54, 55],
+    70: [53, 54],
+    80: [53],
+    90: [52, 53],
+    100: [51, 52],
+    110: [50, 51],
+    120: [49, 50],
+    130: [49, 50],
+    140: [48, 49],
+    150: [47, 48],
+    160: [46, 47],
+    170: [45, 46],
+    180: [44, 45],
+    190: [43, 44],
+    200: [42, 43],
+    210: [41, 42],
+    220: [39, 40, 41],
+    230: [39, 40],
+    240: [37, 38, 39],
+    250: [36, 37, 38, 80],
+    260: [35, 36, 80],
+    270: [33, 34, 35, 80],
+    280: [33, 34, 80],
+    290: [31, 32, 33, 80],
+    300: [29, 30, 31, 80],
+    310: [28, 29, 30, 80],
+    320: [27, 28, 80],
+    330: [25, 26, 27, 80],
+    340: [24, 25, 26, 80],
+    350: [22, 23, 24, 80],
+    360: [21, 22, 23, 80],
+    370: [19, 20, 21, 80],
+    380: [17, 18, 19, 20, 80],
+    390: [16, 17, 18, 80],
+    400: [14, 15, 16, 80],
+    410: [12, 13, 14, 80],
+    420: [11, 12, 13, 80],
+    430: [9, 10, 11, 80],
+    440: [7, 8, 9, 10, 80],
+    450: [5, 6, 7, 8, 80],
+    460: [4, 5, 6, 80],
+    470: [2, 3, 4, 80],
+    480: [0, 1, 2, 3, 80],
+    490: [0, 1, 80]
+  },
+  460: {
+    0: [57, 58, 79],
+    10: [57, 79],
+    20: [56, 57, 79],
+    30: [55, 56, 79],
+    40: [55, 56, 79],
+    50: [54, 55, 79],
+    60: [53, 54, 79],
+    70: [53, 79],
+    80: [52, 53, 79],
+    90: [51, 52, 79],
+    100: [50, 51, 79],
+    110: [49, 50, 79],
+    120: [49, 50, 79],
+    130: [48, 49, 79],
+    140: [47, 48, 79],
+    150: [46, 47, 79],
+    160: [45, 46, 79],
+    170: [44, 45, 79],
+    180: [43, 44, 79],
+    190: [42, 43, 79],
+    200: [41, 42, 79],
+    210: [40, 41, 79],
+    220: [39, 40],
+    230: [38, 39],
+    240: [37, 38],
+    250: [35, 36, 37],
+    260: [34, 35, 36],
+    270: [33, 34],
+    280: [32, 33],
+    290: [30, 31, 32],
+    300: [29, 30],
+    310: [27, 28, 29],
+    320: [26, 27, 28],
+    330: [25, 26],
+    340: [23, 24, 25],
+    350: [22, 23, 24],
+    360: [20, 21, 22],
+    370: [19, 20],
+    380: [17, 18, 19],
+    390: [15, 16, 17],
+    400: [14, 15, 16],
+    410: [12, 13, 14],
+    420: [11, 12, 13],
+    430: [9, 10, 11],
+    440: [8, 9],
+    450: [6, 7],
+    460: [4, 5, 6],
+    470: [2, 3, 4],
+    480: [1, 2],
+    490: [0, 1]
+  },
+  470: {
+    0: [57],
+    10: [56, 57],
+    20: [55, 56],
+    30: [55, 56],
+    40: [54, 55, 79],
+    50: [53, 54, 79],
+    60: [53, 54, 79],
+    70: [52, 53, 79],
+    80: [51, 52, 79],
+    90: [50, 51, 79],
+    100: [50, 79],
+    110: [49, 50, 79],
+    120: [48, 49, 79],
+    130: [47, 48, 79],
+    140: [46, 47, 79],
+    150: [45, 46, 79],
+    160: [44, 45, 46, 79],
+    170: [43, 44, 79],
+    180: [42, 43, 44, 79],
+    190: [41, 42, 79],
+    200: [40, 41, 42, 79],
+    210: [39, 40, 79],
+    220: [38, 39, 40, 79],
+    230: [37, 38, 79],
+    240: [36, 37, 79],
+    250: [35, 36, 79],
+    260: [34, 35, 79],
+    270: [32, 33, 34, 79],
+    280: [31, 32, 33, 79],
+    290: [30, 31, 79],
+    300: [28, 29, 30, 79],
+    310: [27, 28, 29, 79],
+    320: [26, 27, 79],
+    330: [24, 25, 26, 79],
+    340: [23, 24, 25, 79],
+    350: [22, 23, 79],
+    360: [20, 21, 79],
+    370: [18, 19, 20, 79],
+    380: [17, 18, 19, 79],
+    390: [15, 16, 17, 79],
+    400: [14, 15, 16, 79],
+    410: [12, 13, 14, 79],
+    420: [11, 12, 79],
+    430: [9, 10, 11, 79],
+    440: [7, 8, 9, 79],
+    450: [5, 6, 7, 8, 79],
+    460: [4, 5, 6, 79],
+    470: [2, 3, 4, 79],
+    480: [1, 2, 3, 79],
+    490: [0, 1],
+    500: [0]
+  },
+  480: {
+    0: [56, 57, 78],
+    10: [55, 56, 78],
+    20: [55, 78],
+    30: [54, 55],
+    40: [53, 54],
+    50: [53],
+    60: [52, 53],
+    70: [51, 52],
+    80: [50, 51],
+    90: [50],
+    100: [49, 50],
+    110: [48, 49],
+    120: [47, 48],
+    130: [46, 47],
+    140: [46],
+    150: [45, 46],
+    160: [44, 45],
+    170: [43, 44],
+    180: [42, 43],
+    190: [41, 42],
+    200: [40, 41],
+    210: [39, 40],
+    220: [38, 39],
+    230: [36, 37, 38, 79],
+    240: [35, 36, 37, 79],
+    250: [34, 35, 79],
+    260: [33, 34, 35, 79],
+    270: [32, 33, 79],
+    280: [30, 31, 32, 79],
+    290: [29, 30, 31, 79],
+    300: [28, 29, 79],
+    310: [27, 28, 79],
+    320: [25, 26, 27, 79],
+    330: [24, 25, 26, 79],
+    340: [23, 24, 79],
+    350: [21, 22, 23, 79],
+    360: [19, 20, 21, 79],
+    370: [18, 19, 20, 79],
+    380: [17, 18, 79],
+    390: [15, 16, 17, 79],
+    400: [13, 14, 15, 79],
+    410: [12, 13, 14, 79],
+    420: [10, 11, 12, 79],
+    430: [9, 10, 11, 79],
+    440: [7, 8, 9, 79],
+    450: [6, 7, 79],
+    460: [4, 5, 6, 79],
+    470: [3, 4, 79],
+    480: [1, 2, 79],
+    490: [0, 1, 79]
+  },
+  490: {
+    0: [55, 56, 78],
+    10: [55, 78],
+    20: [54, 55, 78],
+    30: [53, 54, 78],
+    40: [53, 78],
+    50: [52, 53, 78],
+    60: [51, 52, 78],
+    70: [50, 51, 78],
+    80: [50, 51, 78],
+    90: [49, 50, 78],
+    100: [48, 49, 78],
+    110: [47, 48, 78],
+    120: [46, 47, 48, 78],
+    130: [46, 47, 78],
+    140: [45, 46, 78],
+    150: [44, 45, 78],
+    160: [43, 44, 78],
+    170: [42, 43, 78],
+    180: [41, 42, 78],
+    190: [40, 41],
+    200: [39, 40],
+    210: [38, 39],
+    220: [37, 38],
+    230: [36, 37],
+    240: [35, 36],
+    250: [33, 34, 35],
+    260: [33, 34],
+    270: [31, 32, 33],
+    280: [30, 31, 32],
+    290: [29, 30],
+    300: [27, 28, 29],
+    310: [26, 27, 28],
+    320: [25, 26],
+    330: [23, 24, 25],
+    340: [22, 23, 24],
+    350: [21, 22],
+    360: [20, 21],
+    370: [18, 19],
+    380: [16, 17, 18],
+    390: [15, 16, 17],
+    400: [13, 14, 15],
+    410: [12, 13, 14],
+    420: [11, 12],
+    430: [9, 10],
+    440: [7, 8, 9],
+    450: [6, 7],
+    460: [4, 5, 6],
+    470: [2, 3, 4],
+    480: [1, 2, 3],
+    490: [1]
+  },
+  500: {
+    0: [55],
+    10: [54, 55],
+    20: [53, 54],
+    30: [53],
+    40: [52, 53, 78],
+    50: [51, 52, 78],
+    60: [51, 78],
+    70: [50, 51, 78],
+    80: [49, 50, 78],
+    90: [48, 49, 78],
+    100: [48, 49, 78],
+    110: [47, 48, 78],
+    120: [46, 47, 78],
+    130: [45, 46, 78],
+    140: [44, 45, 78],
+    150: [43, 44, 78],
+    160: [42, 43, 78],
+    170: [41, 42, 43, 78],
+    180: [41, 78],
+    190: [39, 40, 41, 78],
+    200: [39, 40, 78],
+    210: [37, 38, 39, 78],
+    220: [36, 37, 38, 78],
+    230: [35, 36, 78],
+    240: [34, 35, 36, 78],
+    250: [33, 34, 78],
+    260: [32, 33, 78],
+    270: [31, 32, 78],
+    280: [30, 31, 78],
+    290: [28, 29, 30, 78],
+    300: [27, 28, 78],
+    310: [26, 27, 78],
+    320: [24, 25, 26, 78],
+    330: [23, 24, 25, 78],
+    340: [22, 23, 78],
+    350: [20, 21, 22, 78],
+    360: [19, 20, 21, 78],
+    370: [17, 18, 19, 78],
+    380: [16, 17, 18, 78],
+    390: [15, 16, 78],
+    400: [13, 14, 78],
+    410: [12, 13, 78],
+    420: [10, 11, 12],
+    430: [9, 10, 11],
+    440: [7, 8, 9],
+    450: [6, 7, 8],
+    460: [4, 5, 6],
+    470: [3, 4, 5],
+    480: [1, 2, 3],
+    490: [1]
+  },
+  510: {
+    0: [54, 55, 77],
+    10: [53, 54, 77],
+    20: [53, 77],
+    30: [52, 53],
+    40: [51, 52],
+    50: [51],
+    60: [50, 51],
+    70: [49, 50],
+    80: [49],
+    90: [48, 49],
+    100: [47, 48],
+    110: [46, 47],
+    120: [45, 46],
+    130: [45],
+    140: [43, 44, 45],
+    150: [43, 44],
+    160: [42, 43],
+    170: [41, 42],
+    180: [40, 41],
+    190: [39, 40],
+    200: [38, 39, 78],
+    210: [37, 38, 78],
+    220: [36, 37, 78],
+    230: [35, 36, 78],
+    240: [34, 35, 78],
+    250: [32, 33, 34, 78],
+    260: [31, 32, 33, 78],
+    270: [30, 31, 78],
+    280: [29, 30, 78],
+    290: [28, 29, 78],
+    300: [27, 28, 78],
+    310: [25, 26, 27, 78],
+    320: [24, 25, 26, 78],
+    330: [23, 24, 78],
+    340: [21, 22, 23, 78],
+    350: [20, 21, 22, 78],
+    360: [19, 20, 78],
+    370: [18, 19, 78],
+    380: [16, 17, 78],
+    390: [14, 15, 16, 78],
+    400: [13, 14, 15, 78],
+    410: [11, 12, 13, 78],
+    420: [10, 11, 12, 78],
+    430: [9, 10, 78],
+    440: [8, 9, 78],
+    450: [6, 7, 78],
+    460: [4, 5, 78],
+    470: [3, 4, 78],
+    480: [1, 2, 3, 78],
+    490: [1, 78]
+  },
+  520: {
+    0: [54, 77],
+    10: [53, 54, 77],
+    20: [52, 53, 77],
+    30: [52, 77],
+    40: [51, 52, 77],
+    50: [50, 51, 77],
+    60: [49, 50, 77],
+    70: [49, 77],
+    80: [48, 49, 77],
+    90: [47, 48, 77],
+    100: [46, 47, 77],
+    110: [45, 46, 77],
+    120: [45, 46, 77],
+    130: [44, 45, 77],
+    140: [43, 44, 77],
+    150: [42, 43, 77],
+    160: [41, 42, 77],
+    170: [40, 41, 77],
+    180: [39, 40],
+    190: [38, 39],
+    200: [37, 38],
+    210: [36, 37],
+    220: [35, 36, 37],
+    230: [34, 35],
+    240: [33, 34],
+    250: [32, 33],
+    260: [31, 32],
+    270: [30, 31],
+    280: [29, 30],
+    290: [27, 28, 29],
+    300: [26, 27, 28],
+    310: [25, 26],
+    320: [24, 25],
+    330: [22, 23, 24],
+    340: [21, 22, 23],
+    350: [20, 21],
+    360: [18, 19, 20],
+    370: [17, 18, 19],
+    380: [16, 17],
+    390: [14, 15, 16],
+    400: [13, 14],
+    410: [12, 13],
+    420: [10, 11],
+    430: [9, 10],
+    440: [7, 8, 9, 78],
+    450: [6, 7, 78],
+    460: [4, 5, 6, 78],
+    470: [3, 4, 5, 78],
+    480: [1, 2, 3, 78],
+    490: [1, 2, 78]
+  },
+  530: {
+    0: [53, 54],
+    10: [52, 53],
+    20: [52],
+    30: [51, 52],
+    40: [50, 51, 77],
+    50: [50, 77],
+    60: [49, 50, 77],
+    70: [48, 49, 77],
+    80: [47, 48, 77],
+    90: [46, 47, 77],
+    100: [46, 47, 77],
+    110: [45, 46, 77],
+    120: [44, 45, 77],
+    130: [43, 44, 77],
+    140: [42, 43, 77],
+    150: [42, 43, 77],
+    160: [41, 42, 77],
+    170: [40, 41, 77],
+    180: [39, 40, 77],
+    190: [38, 39, 77],
+    200: [37, 38, 77],
+    210: [36, 37, 77],
+    220: [35, 36, 77],
+    230: [34, 35, 77],
+    240: [33, 34, 77],
+    250: [31, 32, 33, 77],
+    260: [30, 31, 32, 77],
+    270: [29, 30, 77],
+    280: [28, 29, 77],
+    290: [27, 28, 77],
+    300: [26, 27, 77],
+    310: [24, 25, 26, 77],
+    320: [23, 24, 25, 77],
+    330: [22, 23, 77],
+    340: [21, 22, 77],
+    350: [19, 20, 21, 77],
+    360: [18, 19, 20, 77],
+    370: [17, 18, 77],
+    380: [16, 17],
+    390: [14, 15],
+    400: [13, 14],
+    410: [11, 12, 13],
+    420: [10, 11, 12],
+    430: [9, 10],
+    440: [7, 8, 9],
+    450: [6, 7],
+    460: [5, 6],
+    470: [3, 4, 5],
+    480: [2, 3],
+    490: [1, 2]
+  },
+  540: {
+    0: [52, 53, 76],
+    10: [52, 76],
+    20: [51, 52, 76],
+    30: [50, 51, 76],
+    40: [50],
+    50: [49, 50],
+    60: [48, 49],
+    70: [47, 48],
+    80: [47],
+    90: [46, 47],
+    100: [45, 46],
+    110: [44, 45],
+    120: [44],
+    130: [43],
+    140: [42, 43],
+    150: [41, 42],
+    160: [40, 41],
+    170: [39, 40],
+    180: [38, 39],
+    190: [37, 38, 77],
+    200: [36, 37, 77],
+    210: [35, 36, 77],
+    220: [34, 35, 77],
+    230: [33, 34, 77],
+    240: [32, 33, 77],
+    250: [31, 32, 77],
+    260: [30, 31, 77],
+    270: [29, 30, 77],
+    280: [28, 29, 77],
+    290: [27, 28, 77],
+    300: [25, 26, 27, 77],
+    310: [24, 25, 26, 77],
+    320: [23, 24, 77],
+    330: [22, 23, 77],
+    340: [20, 21, 22, 77],
+    350: [19, 20, 21, 77],
+    360: [18, 19, 77],
+    370: [17, 18, 77],
+    380: [15, 16, 17, 77],
+    390: [14, 15, 77],
+    400: [13, 14, 77],
+    410: [11, 12, 13, 77],
+    420: [10, 11, 77],
+    430: [9, 10, 77],
+    440: [7, 8, 77],
+    450: [6, 7, 77],
+    460: [4, 5, 6, 77],
+    470: [3, 4, 5, 77],
+    480: [2, 3, 77],
+    490: [1, 2, 77],
+    500: [1]
+  },
+  550: {
+    0: [52, 76],
+    10: [51, 52, 76],
+    20: [50, 51, 76],
+    30: [50, 76],
+    40: [49, 50, 76],
+    50: [48, 49, 76],
+    60: [48, 76],
+    70: [47, 48, 76],
+    80: [46, 47, 76],
+    90: [45, 46, 76],
+    100: [45, 76],
+    110: [44, 45, 76],
+    120: [43, 44, 76],
+    130: [42, 43, 76],
+    140: [41, 42, 76],
+    150: [40, 41, 76],
+    160: [40, 76],
+    170: [39, 40, 76],
+    180: [38],
+    190: [37, 38],
+    200: [36, 37],
+    210: [35, 36],
+    220: [34, 35],
+    230: [33, 34],
+    240: [32, 33],
+    250: [31, 32],
+    260: [29, 30, 31],
+    270: [28, 29, 30],
+    280: [27, 28],
+    290: [26, 27],
+    300: [25, 26],
+    310: [24, 25],
+    320: [23, 24],
+    330: [21, 22, 23],
+    340: [20, 21, 22],
+    350: [19, 20],
+    360: [18, 19],
+    370: [16, 17, 18],
+    380: [15, 16, 17],
+    390: [14, 15, 77],
+    400: [13, 14, 77],
+    410: [11, 12, 77],
+    420: [10, 11, 77],
+    430: [8, 9, 10, 77],
+    440: [7, 8, 9, 77],
+    450: [6, 7, 77],
+    460: [4, 5, 6, 77],
+    470: [3, 4, 5, 77],
+    480: [2, 3, 77],
+    490: [2, 77]
+  },
+  560: {
+    0: [51, 52],
+    10: [51],
+    20: [50, 51],
+    30: [49, 50],
+    40: [49, 76],
+    50: [48, 76],
+    60: [47, 48, 76],
+    70: [46, 47, 76],
+    80: [46, 76],
+    90: [45, 46, 76],
+    100: [44, 45, 76],
+    110: [43, 44, 76],
+    120: [42, 43, 76],
+    130: [42, 76],
+    140: [41, 42, 76],
+    150: [40, 41, 76],
+    160: [39, 40, 76],
+    170: [38, 39, 76],
+    180: [37, 38, 76],
+    190: [36, 37, 76],
+    200: [35, 36, 76],
+    210: [34, 35, 76],
+    220: [33, 34, 76],
+    230: [32, 33, 76],
+    240: [31, 32, 76],
+    250: [30, 31, 76],
+    260: [29, 30, 76],
+    270: [28, 29, 76],
+    280: [27, 28, 76],
+    290: [26, 27, 76],
+    300: [25, 26, 76],
+    310: [23, 24, 25, 76],
+    320: [22, 23, 24, 76],
+    330: [21, 22, 76],
+    340: [20, 21, 76],
+    350: [19, 20, 76],
+    360: [17, 18, 19],
+    370: [16, 17, 18],
+    380: [15, 16],
+    390: [14, 15],
+    400: [12, 13, 14],
+    410: [11, 12, 13],
+    420: [10, 11],
+    430: [9, 10],
+    440: [7, 8, 9],
+    450: [6, 7],
+    460: [5, 6],
+    470: [4, 5],
+    480: [2, 3],
+    490: [2]
+  },
+  570: {
+    0: [51, 75],
+    10: [50, 51, 75],
+    20: [49, 50, 75],
+    30: [49, 75],
+    40: [48, 49, 75],
+    50: [47, 48],
+    60: [47],
+    70: [46, 47],
+    80: [45, 46],
+    90: [44, 45],
+    100: [44],
+    110: [43, 44],
+    120: [42, 43],
+    130: [41, 42],
+    140: [40, 41],
+    150: [39, 40],
+    160: [39],
+    170: [38, 39],
+    180: [37, 38],
+    190: [36, 37, 76],
+    200: [35, 36, 76],
+    210: [34, 35, 76],
+    220: [33, 34, 76],
+    230: [32, 33, 76],
+    240: [31, 32, 76],
+    250: [30, 31, 76],
+    260: [29, 30, 76],
+    270: [28, 29, 76],
+    280: [27, 28, 76],
+    290: [25, 26, 76],
+    300: [24, 25, 26, 76],
+    310: [23, 24, 76],
+    320: [22, 23, 76],
+    330: [21, 22, 76],
+    340: [20, 21, 76],
+    350: [19, 20, 76],
+    360: [18, 76],
+    370: [16, 17, 76],
+    380: [15, 16, 76],
+    390: [14, 15, 76],
+    400: [12, 13, 14, 76],
+    410: [11, 12, 76],
+    420: [10, 11, 76],
+    430: [9, 10, 76],
+    440: [7, 8, 76],
+    450: [6, 7, 76],
+    460: [5, 6, 76],
+    470: [3, 4, 5, 76],
+    480: [2, 3, 4, 76],
+    490: [2, 76]
+  },
+  580: {
+    0: [50, 51, 75],
+    10: [50, 75],
+    20: [49, 50, 75],
+    30: [48, 49, 75],
+    40: [48, 75],
+    50: [47, 48, 75],
+    60: [46, 47, 75],
+    70: [45, 46, 75],
+    80: [45, 75],
+    90: [44, 45, 75],
+    100: [43, 44, 75],
+    110: [42, 43, 75],
+    120: [41, 42, 75],
+    130: [41, 42, 75],
+    140: [40, 41, 75],
+    150: [39, 40, 75],
+    160: [38, 39, 75],
+    170: [37, 38, 75],
+    180: [36, 37],
+    190: [35, 36],
+    200: [34, 35],
+    210: [33, 34],
+    220: [33],
+    230: [31, 32, 33],
+    240: [31, 32],
+    250: [29, 30],
+    260: [28, 29, 30],
+    270: [28],
+    280: [26, 27],
+    290: [25, 26],
+    300: [24, 25],
+    310: [23, 24],
+    320: [22, 23],
+    330: [21, 22],
+    340: [20, 21],
+    350: [18, 19],
+    360: [17, 18, 76],
+    370: [16, 17, 76],
+    380: [15, 16, 76],
+    390: [14, 15, 76],
+    400: [12, 13, 76],
+    410: [11, 12, 76],
+    420: [10, 11, 76],
+    430: [8, 9, 10, 76],
+    440: [7, 8, 9, 76],
+    450: [6, 7, 76],
+    460: [5, 6, 76],
+    470: [4, 5, 76],
+    480: [2, 3, 4, 76],
+    490: [2, 76],
+    500: [76]
+  },
+  590: {
+    0: [50],
+    10: [49, 50],
+    20: [48, 49],
+    30: [48],
+    40: [47, 48],
+    50: [46, 47],
+    60: [46, 75],
+    70: [45, 46, 75],
+    80: [44, 45, 75],
+    90: [44, 75],
+    100: [43, 75],
+    110: [42, 43, 75],
+    120: [41, 42, 75],
+    130: [40, 41, 75],
+    140: [39, 40, 75],
+    150: [38, 39, 75],
+    160: [38, 39, 75],
+    170: [37, 75],
+    180: [36, 37, 75],
+    190: [35, 36, 75],
+    200: [34, 35, 75],
+    210: [33, 34, 75],
+    220: [32, 33, 75],
+    230: [31, 32, 75],
+    240: [30, 31, 75],
+    250: [29, 30, 75],
+    260: [28, 29, 75],
+    270: [27, 28, 75],
+    280: [26, 27, 75],
+    290: [25, 26, 75],
+    300: [24, 25, 75],
+    310: [23, 24, 75],
+    320: [22, 23, 75],
+    330: [21],
+    340: [19, 20],
+    350: [18, 19],
+    360: [17, 18],
+    370: [16, 17],
+    380: [15, 16],
+    390: [13, 14, 15],
+    400: [12, 13],
+    410: [11, 12],
+    420: [10, 11],
+    430: [9, 10],
+    440: [8, 9],
+    450: [6, 7],
+    460: [5, 6],
+    470: [4, 5],
+    480: [3],
+    490: [2]
+  },
+  600: {
+    0: [49, 50, 74],
+    10: [49, 74],
+    20: [48, 49, 74],
+    30: [47, 48, 74],
+    40: [47, 74],
+    50: [46, 47, 74],
+    60: [45, 46],
+    70: [44, 45],
+    80: [44],
+    90: [43, 44],
+    100: [42, 43],
+    110: [41, 42],
+    120: [41],
+    130: [40, 41],
+    140: [39, 40],
+    150: [38, 39],
+    160: [37, 38],
+    170: [36, 37],
+    180: [36, 75],
+    190: [34, 35, 75],
+    200: [34, 35, 75],
+    210: [33, 34, 75],
+    220: [32, 33, 75],
+    230: [31, 75],
+    240: [30, 31, 75],
+    250: [29, 30, 75],
+    260: [28, 29, 75],
+    270: [27, 28, 75],
+    280: [26, 27, 75],
+    290: [25, 26, 75],
+    300: [23, 24, 25, 75],
+    310: [23, 24, 75],
+    320: [21, 22, 75],
+    330: [20, 21, 75],
+    340: [19, 20, 75],
+    350: [18, 19, 75],
+    360: [17, 18, 75],
+    370: [16, 17, 75],
+    380: [14, 15, 16, 75],
+    390: [13, 14, 15, 75],
+    400: [12, 13, 75],
+    410: [11, 12, 75],
+    420: [10, 11, 75],
+    430: [9, 10, 75],
+    440: [7, 8, 75],
+    450: [6, 7, 75],
+    460: [5, 6, 75],
+    470: [4, 5, 75],
+    480: [2, 3, 4, 75],
+    490: [2, 3, 75]
+  },
+  610: {
+    0: [49, 74],
+    10: [48, 49, 74],
+    20: [48, 74],
+    30: [47, 74],
+    40: [46, 47, 74],
+    50: [45, 46, 74],
+    60: [45, 74],
+    70: [44, 45, 74],
+    80: [43, 44, 74],
+    90: [42, 43, 74],
+    100: [42, 74],
+    110: [41, 42, 74],
+    120: [40, 41, 74],
+    130: [39, 40, 74],
+    140: [38, 39, 74],
+    150: [38, 74],
+    160: [37, 38, 74],
+    170: [36, 37, 74],
+    180: [35, 36],
+    190: [34, 35],
+    200: [33, 34],
+    210: [32, 33],
+    220: [31, 32],
+    230: [30, 31],
+    240: [30],
+    250: [28, 29],
+    260: [27, 28],
+    270: [27],
+    280: [25, 26],
+    290: [24, 25],
+    300: [23, 24],
+    310: [22, 23],
+    320: [21, 22],
+    330: [20, 21],
+    340: [19, 20, 75],
+    350: [18, 19, 75],
+    360: [17, 18, 75],
+    370: [16, 17, 75],
+    380: [14, 15, 16, 75],
+    390: [14, 75],
+    400: [12, 13, 75],
+    410: [11, 12, 75],
+    420: [10, 11, 75],
+    430: [9, 10, 75],
+    440: [7, 8, 9, 75],
+    450: [6, 7, 8, 75],
+    460: [5, 6, 75],
+    470: [4, 5, 75],
+    480: [3, 4, 75],
+    490: [2, 3, 75],
+    500: [2, 75]
+  },
+  620: {
+    0: [49],
+    10: [48],
+    20: [47, 48],
+    30: [46, 47],
+    40: [46],
+    50: [45, 46],
+    60: [44, 45, 74],
+    70: [44, 74],
+    80: [43, 74],
+    90: [42, 43, 74],
+    100: [41, 42, 74],
+    110: [41, 74],
+    120: [40, 74],
+    130: [39, 40, 74],
+    140: [38, 39, 74],
+    150: [37, 38, 74],
+    160: [36, 37, 74],
+    170: [35, 36, 74],
+    180: [35, 36, 74],
+    190: [34, 74],
+    200: [33, 34, 74],
+    210: [32, 33, 74],
+    220: [31, 32, 74],
+    230: [30, 31, 74],
+    240: [29, 30, 74],
+    250: [28, 29, 74],
+    260: [27, 28, 74],
+    270: [26, 27, 74],
+    280: [25, 26, 74],
+    290: [24, 25, 74],
+    300: [23, 24, 74],
+    310: [22, 23, 74],
+    320: [21, 22],
+    330: [20, 21],
+    340: [19, 20],
+    350: [18, 19],
+    360: [17, 18],
+    370: [16, 17],
+    380: [14, 15],
+    390: [13, 14],
+    400: [12, 13],
+    410: [11, 12],
+    420: [10, 11],
+    430: [9, 10],
+    440: [8, 9],
+    450: [7],
+    460: [5, 6],
+    470: [4, 5],
+    480: [3, 4],
+    490: [2, 3],
+    500: [2]
+  },
+  630: {
+    0: [48, 73],
+    10: [47, 48, 73],
+    20: [47, 73],
+    30: [46, 73],
+    40: [45, 46, 73],
+    50: [45, 73],
+    60: [44, 73],
+    70: [43, 44],
+    80: [42, 43],
+    90: [42],
+    100: [41, 42],
+    110: [40, 41],
+    120: [39, 40],
+    130: [38, 39],
+    140: [38],
+    150: [37, 38],
+    160: [36, 37],
+    170: [35, 36],
+    180: [34, 35, 74],
+    190: [33, 34, 74],
+    200: [33, 74],
+    210: [32, 74],
+    220: [31, 32, 74],
+    230: [30, 74],
+    240: [29, 30, 74],
+    250: [28, 29, 74],
+    260: [27, 28, 74],
+    270: [26, 27, 74],
+    280: [25, 26, 74],
+    290: [24, 25, 74],
+    300: [23, 24, 74],
+    310: [22, 23, 74],
+    320: [21, 22, 74],
+    330: [20, 21, 74],
+    340: [19, 20, 74],
+    350: [18, 19, 74],
+    360: [17, 74],
+    370: [15, 16, 74],
+    380: [14, 15, 74],
+    390: [13, 14, 74],
+    400: [12, 13, 74],
+    410: [11, 12, 74],
+    420: [10, 11, 74],
+    430: [9, 10, 74],
+    440: [7, 8, 9, 74],
+    450: [6, 7, 74],
+    460: [5, 6, 74],
+    470: [4, 5, 74],
+    480: [3, 4, 74],
+    490: [3, 74]
+  },
+  640: {
+    0: [48, 73],
+    10: [47, 73],
+    20: [46, 47, 73],
+    30: [46, 73],
+    40: [45, 73],
+    50: [44, 45, 73],
+    60: [44, 73],
+    70: [43, 73],
+    80: [42, 43, 73],
+    90: [41, 42, 73],
+    100: [40, 41, 73],
+    110: [40, 73],
+    120: [39, 40, 73],
+    130: [38, 39, 73],
+    140: [37, 38, 73],
+    150: [37, 73],
+    160: [36, 73],
+    170: [35, 36, 73],
+    180: [34, 35],
+    190: [33, 34],
+    200: [32, 33],
+    210: [31, 32],
+    220: [30, 31],
+    230: [29, 30],
+    240: [29],
+    250: [28],
+    260: [27, 28],
+    270: [26],
+    280: [25],
+    290: [24, 25],
+    300: [23, 24],
+    310: [22],
+    320: [20, 21, 22],
+    330: [20, 21],
+    340: [19, 74],
+    350: [17, 18, 74],
+    360: [16, 17, 74],
+    370: [15, 16, 74],
+    380: [14, 15, 74],
+    390: [13, 14, 74],
+    400: [12, 13, 74],
+    410: [11, 12, 74],
+    420: [10, 11, 74],
+    430: [9, 10, 74],
+    440: [8, 9, 74],
+    450: [6, 7, 8, 74],
+    460: [5, 6, 7, 74],
+    470: [4, 5, 74],
+    480: [3, 4, 74],
+    490: [3, 74],
+    500: [74]
+  },
+  650: {
+    0: [47, 48],
+    10: [47],
+    20: [46],
+    30: [45, 46],
+    40: [45],
+    50: [44],
+    60: [43, 44],
+    70: [42, 43, 73],
+    80: [42, 73],
+    90: [41, 42, 73],
+    100: [40, 41, 73],
+    110: [39, 40, 73],
+    120: [39, 73],
+    130: [38, 73],
+    140: [37, 38, 73],
+    150: [36, 37, 73],
+    160: [35, 36, 73],
+    170: [34, 35, 73],
+    180: [34, 73],
+    190: [33, 73],
+    200: [32, 33, 73],
+    210: [31, 32, 73],
+    220: [30, 31, 73],
+    230: [29, 30, 73],
+    240: [28, 29, 73],
+    250: [27, 28, 73],
+    260: [27, 73],
+    270: [25, 26, 73],
+    280: [24, 25, 73],
+    290: [24, 73],
+    300: [22, 23, 73],
+    310: [21, 22, 73],
+    320: [20, 21],
+    330: [20],
+    340: [18, 19],
+    350: [17, 18],
+    360: [16, 17],
+    370: [15, 16],
+    380: [14, 15],
+    390: [13, 14],
+    400: [12, 13],
+    410: [11, 12],
+    420: [10, 11],
+    430: [9, 10],
+    440: [8, 9],
+    450: [7, 8],
+    460: [6],
+    470: [4, 5],
+    480: [3, 4],
+    490: [3]
+  },
+  660: {
+    0: [47, 72],
+    10: [46, 47, 72],
+    20: [45, 46, 72],
+    30: [45, 72],
+    40: [44, 45, 72],
+    50: [43, 44, 72],
+    60: [43, 72],
+    70: [42, 43, 72],
+    80: [41, 42],
+    90: [40, 41],
+    100: [40],
+    110: [39, 40],
+    120: [38, 39],
+    130: [37, 38],
+    140: [37],
+    150: [36, 37],
+    160: [35, 36],
+    170: [34, 35],
+    180: [33, 34, 73],
+    190: [32, 33, 73],
+    200: [32, 73],
+    210: [31, 73],
+    220: [30, 31, 73],
+    230: [29, 30, 73],
+    240: [28, 29, 73],
+    250: [27, 28, 73],
+    260: [26, 27, 73],
+    270: [25, 26, 73],
+    280: [24, 25, 73],
+    290: [23, 24, 73],
+    300: [22, 23, 73],
+    310: [21, 22, 73],
+    320: [20, 21, 73],
+    330: [19, 20, 73],
+    340: [18, 19, 73],
+    350: [17, 18, 73],
+    360: [16, 17, 73],
+    370: [15, 16, 73],
+    380: [14, 15, 73],
+    390: [13, 14, 73],
+    400: [12, 13, 73],
+    410: [11, 12, 73],
+    420: [10, 11, 73],
+    430: [9, 10, 73],
+    440: [8, 9, 73],
+    450: [7, 8, 73],
+    460: [5, 6, 7, 73],
+    470: [4, 5, 6, 73],
+    480: [3, 4],
+    490: [3]
+  },
+  670: {
+    0: [46, 47, 72],
+    10: [46, 72],
+    20: [45, 46, 72],
+    30: [44, 45, 72],
+    40: [44, 72],
+    50: [43, 44, 72],
+    60: [42, 43, 72],
+    70: [42, 72],
+    80: [41, 72],
+    90: [40, 41, 72],
+    100: [39, 40, 72],
+    110: [39, 72],
+    120: [38, 72],
+    130: [37, 38, 72],
+    140: [36, 37, 72],
+    150: [36, 72],
+    160: [35, 72],
+    170: [34, 35, 72],
+    180: [33, 34],
+    190: [32, 33],
+    200: [31, 32],
+    210: [30, 31],
+    220: [30],
+    230: [29],
+    240: [28, 29],
+    250: [27],
+    260: [26, 27],
+    270: [25, 26],
+    280: [24, 25],
+    290: [23, 24],
+    300: [22, 23],
+    310: [21, 22],
+    320: [20, 21, 73],
+    330: [19, 20, 73],
+    340: [18, 19, 73],
+    350: [17, 18, 73],
+    360: [16, 17, 73],
+    370: [15, 16, 73],
+    380: [14, 15, 73],
+    390: [13, 14, 73],
+    400: [12, 13, 73],
+    410: [11, 12, 73],
+    420: [10, 11, 73],
+    430: [9, 10, 73],
+    440: [8, 9, 73],
+    450: [7, 8, 73],
+    460: [6, 7, 73],
+    470: [5, 6, 73],
+    480: [4, 5, 73],
+    490: [3, 4, 73]
+  },
+  680: {
+    0: [46, 47, 71],
+    10: [45, 46, 71],
+    20: [45],
+    30: [44, 45],
+    40: [43, 44],
+    50: [43],
+    60: [42, 43],
+    70: [41, 42],
+    80: [41, 72],
+    90: [40, 72],
+    100: [39, 40, 72],
+    110: [38, 39, 72],
+    120: [38, 72],
+    130: [37, 72],
+    140: [36, 37, 72],
+    150: [35, 36, 72],
+    160: [34, 35, 72],
+    170: [34, 72],
+    180: [33, 72],
+    190: [32, 33, 72],
+    200: [31, 32, 72],
+    210: [30, 31, 72],
+    220: [29, 30, 72],
+    230: [28, 29, 72],
+    240: [27, 28, 72],
+    250: [27, 72],
+    260: [26, 72],
+    270: [25, 72],
+    280: [24, 25, 72],
+    290: [23, 24, 72],
+    300: [22, 23, 72],
+    310: [21, 22],
+    320: [20, 21],
+    330: [19, 20],
+    340: [18, 19],
+    350: [17, 18],
+    360: [16, 17],
+    370: [15, 16],
+    380: [14, 15],
+    390: [13, 14],
+    400: [12, 13],
+    410: [11, 12],
+    420: [10, 11],
+    430: [9, 10],
+    440: [8, 9],
+    450: [7, 8],
+    460: [6, 7],
+    470: [5, 6],
+    480: [4],
+    490: [3]
+  },
+  690: {
+    0: [46, 71],
+    10: [45, 46, 71],
+    20: [44, 45, 71],
+    30: [44, 71],
+    40: [43, 44, 71],
+    50: [42, 43, 71],
+    60: [42, 71],
+    70: [41, 71],
+    80: [40, 41, 71],
+    90: [39, 40, 71],
+    100: [39],
+    110: [38],
+    120: [37, 38],
+    130: [36, 37],
+    140: [36],
+    150: [35],
+    160: [34, 35],
+    170: [33, 34],
+    180: [33],
+    190: [32, 72],
+    200: [31, 72],
+    210: [30, 72],
+    220: [29, 30, 72],
+    230: [28, 29, 72],
+    240: [27, 28, 72],
+    250: [26, 27, 72],
+    260: [25, 26, 72],
+    270: [24, 25, 72],
+    280: [24, 72],
+    290: [23, 72],
+    300: [22, 23, 72],
+    310: [21, 22, 72],
+    320: [20, 21, 72],
+    330: [19, 20, 72],
+    340: [18, 19, 72],
+    350: [17, 18, 72],
+    360: [16, 17, 72],
+    370: [15, 16, 72],
+    380: [14, 15, 72],
+    390: [13, 14, 72],
+    400: [12, 13, 72],
+    410: [11, 12, 72],
+    420: [10, 11, 72],
+    430: [9, 10, 72],
+    440: [8, 9, 72],
+    450: [7, 8, 72],
+    460: [6, 7, 72],
+    470: [5, 6, 72],
+    480: [4, 5],
+    490: [4]
+  },
+  700: {
+    0: [45, 46],
+    10: [45],
+    20: [44, 45, 71],
+    30: [43, 44, 71],
+    40: [43, 71],
+    50: [42, 43, 71],
+    60: [41, 42, 71],
+    70: [41, 71],
+    80: [40, 71],
+    90: [39, 40, 71],
+    100: [38, 39, 71],
+    110: [38, 71],
+    120: [37, 71],
+    130: [36, 37, 71],
+    140: [35, 36, 71],
+    150: [35, 71],
+    160: [34, 71],
+    170: [33, 34, 71],
+    180: [32, 33, 71],
+    190: [31, 32],
+    200: [31],
+    210: [30],
+    220: [29, 30],
+    230: [28, 29],
+    240: [27, 28],
+    250: [26, 27],
+    260: [25, 26],
+    270: [24, 25],
+    280: [23, 24],
+    290: [22, 23],
+    300: [22],
+    310: [21],
+    320: [20, 72],
+    330: [19, 20, 72],
+    340: [18, 19, 72],
+    350: [17, 18, 72],
+    360: [16, 17, 72],
+    370: [15, 16, 72],
+    380: [14, 15, 72],
+    390: [13, 14, 72],
+    400: [12, 13, 72],
+    410: [11, 12, 72],
+    420: [10, 11, 72],
+    430: [9, 10, 72],
+    440: [8, 9, 72],
+    450: [7, 8, 72],
+    460: [6, 7, 72],
+    470: [5, 6, 72],
+    480: [4, 5, 72],
+    490: [4, 72]
+  },
+  710: {
+    0: [45, 70],
+    10: [44, 45, 70],
+    20: [44, 70],
+    30: [43, 44],
+    40: [42, 43],
+    50: [42],
+    60: [41],
+    70: [40, 41],
+    80: [40],
+    90: [39],
+    100: [38, 39, 71],
+    110: [37, 38, 71],
+    120: [37, 71],
+    130: [36, 71],
+    140: [35, 36, 71],
+    150: [34, 35, 71],
+    160: [33, 34, 71],
+    170: [33, 71],
+    180: [32, 71],
+    190: [31, 32, 71],
+    200: [30, 31, 71],
+    210: [29, 30, 71],
+    220: [29, 71],
+    230: [28, 71],
+    240: [27, 28, 71],
+    250: [26, 27, 71],
+    260: [25, 26, 71],
+    270: [24, 25, 71],
+    280: [23, 24, 71],
+    290: [22, 23, 71],
+    300: [22, 71],
+    310: [21, 71],
+    320: [20],
+    330: [19, 20],
+    340: [18],
+    350: [17],
+    360: [16, 17],
+    370: [15, 16],
+    380: [14, 15],
+    390: [13, 14],
+    400: [12, 13],
+    410: [11, 12],
+    420: [10, 11],
+    430: [9, 10],
+    440: [8, 9],
+    450: [7, 8],
+    460: [6, 7],
+    470: [5, 6],
+    480: [4, 5],
+    490: [4]
+  },
+  720: {
+    0: [45, 70],
+    10: [44, 45, 70],
+    20: [43, 44, 70],
+    30: [43, 70],
+    40: [42, 70],
+    50: [41, 42, 70],
+    60: [41, 70],
+    70: [40, 70],
+    80: [39, 40, 70],
+    90: [39, 70],
+    100: [38, 70],
+    110: [37, 38, 70],
+    120: [36, 37],
+    130: [36],
+    140: [35],
+    150: [34, 35],
+    160: [33, 34],
+    170: [32, 33],
+    180: [32],
+    190: [31],
+    200: [30, 31, 71],
+    210: [29, 30, 71],
+    220: [28, 29, 71],
+    230: [28, 71],
+    240: [27, 71],
+    250: [26, 71],
+    260: [25, 26, 71],
+    270: [24, 25, 71],
+    280: [23, 24, 71],
+    290: [22, 23, 71],
+    300: [21, 22, 71],
+    310: [20, 21, 71],
+    320: [20, 71],
+    330: [19, 71],
+    340: [18, 71],
+    350: [17, 18, 71],
+    360: [16, 17, 71],
+    370: [15, 16, 71],
+    380: [14, 15, 71],
+    390: [13, 14, 71],
+    400: [12, 13, 71],
+    410: [11, 12, 71],
+    420: [10, 11, 71],
+    430: [9, 10, 71],
+    440: [8, 9, 71],
+    450: [7, 8, 71],
+    460: [6, 7, 71],
+    470: [5, 6, 71],
+    480: [4, 5],
+    490: [4]
+  },
+  730: {
+    0: [44, 45],
+    10: [44],
+    20: [43, 44],
+    30: [42, 43],
+    40: [42, 70],
+    50: [41, 70],
+    60: [40, 41, 70],
+    70: [40, 70],
+    80: [39, 70],
+    90: [38, 39, 70],
+    100: [38, 70],
+    110: [37, 70],
+    120: [36, 37, 70],
+    130: [35, 36, 70],
+    140: [35, 70],
+    150: [34, 70],
+    160: [33, 34, 70],
+    170: [32, 33, 70],
+    180: [32, 70],
+    190: [31, 70],
+    200: [30, 70],
+    210: [29, 30],
+    220: [28, 29],
+    230: [27, 28],
+    240: [26, 27],
+    250: [26],
+    260: [25],
+    270: [24, 25],
+    280: [23, 24],
+    290: [22, 23],
+    300: [21, 22],
+    310: [20, 21],
+    320: [19, 20],
+    330: [18, 19, 71],
+    340: [18, 71],
+    350: [17, 71],
+    360: [16, 71],
+    370: [15, 71],
+    380: [14, 15, 71],
+    390: [13, 14, 71],
+    400: [12, 13, 71],
+    410: [11, 12, 71],
+    420: [10, 11, 71],
+    430: [9, 10, 71],
+    440: [8, 9, 71],
+    450: [7, 8, 71],
+    460: [6, 7, 71],
+    470: [5, 6, 71],
+    480: [4, 5, 71],
+    490: [4, 71]
+  },
+  740: {
+    0: [44, 45, 69],
+    10: [44, 69],
+    20: [43, 69],
+    30: [42, 43, 69],
+    40: [42, 69],
+    50: [41, 69],
+    60: [40, 41],
+    70: [39, 40],
+    80: [39],
+    90: [38],
+    100: [37, 38],
+    110: [37],
+    120: [36, 70],
+    130: [35, 36, 70],
+    140: [34, 35, 70],
+    150: [34, 70],
+    160: [33, 70],
+    170: [32, 33, 70],
+    180: [31, 32, 70],
+    190: [30, 31, 70],
+    200: [30, 70],
+    210: [29, 70],
+    220: [28, 29, 70],
+    230: [27, 28, 70],
+    240: [26, 27, 70],
+    250: [25, 26, 70],
+    260: [25, 70],
+    270: [24, 70],
+    280: [23, 70],
+    290: [22, 23, 70],
+    300: [21, 22, 70],
+    310: [20, 21, 70],
+    320: [19, 20, 70],
+    330: [18, 19],
+    340: [18],
+    350: [17],
+    360: [16],
+    370: [15, 16],
+    380: [14, 15],
+    390: [13, 14],
+    400: [12, 13],
+    410: [11, 12],
+    420: [10, 11],
+    430: [9, 10],
+    440: [8, 9],
+    450: [7, 8],
+    460: [6, 7],
+    470: [6],
+    480: [5, 71],
+    490: [4, 71]
+  },
+  750: {
+    0: [44, 69],
+    10: [43, 44, 69],
+    20: [43, 69],
+    30: [42, 69],
+    40: [41, 42, 69],
+    50: [41, 69],
+    60: [40, 69],
+    70: [39, 40, 69],
+    80: [39, 69],
+    90: [38, 69],
+    100: [37, 38, 69],
+    110: [36, 37, 69],
+    120: [36, 69],
+    130: [35],
+    140: [34, 35],
+    150: [33, 34],
+    160: [33],
+    170: [32],
+    180: [31, 32],
+    190: [30, 31],
+    200: [29, 30],
+    210: [29, 70],
+    220: [28, 70],
+    230: [27, 28, 70],
+    240: [26, 27, 70],
+    250: [25, 26, 70],
+    260: [25, 70],
+    270: [24, 70],
+    280: [23, 70],
+    290: [22, 23, 70],
+    300: [21, 22, 70],
+    310: [20, 21, 70],
+    320: [19, 20, 70],
+    330: [18, 19, 70],
+    340: [18, 70],
+    350: [17, 70],
+    360: [16, 70],
+    370: [15, 16, 70],
+    380: [14, 15, 70],
+    390: [13, 14, 70],
+    400: [12, 13, 70],
+    410: [11, 12, 70],
+    420: [10, 11, 70],
+    430: [9, 10, 70],
+    440: [8, 9, 70],
+    450: [8, 70],
+    460: [7, 70],
+    470: [6],
+    480: [5],
+    490: [4]
+  },
+  760: {
+    0: [44, 68],
+    10: [43],
+    20: [42, 43],
+    30: [42],
+    40: [41],
+    50: [40, 41],
+    60: [40, 69],
+    70: [39, 69],
+    80: [38, 39, 69],
+    90: [38, 69],
+    100: [37, 69],
+    110: [36, 37, 69],
+    120: [35, 36, 69],
+    130: [35, 69],
+    140: [34, 69],
+    150: [33, 34, 69],
+    160: [32, 33, 69],
+    170: [32, 69],
+    180: [31, 69],
+    190: [30, 31, 69],
+    200: [29, 30, 69],
+    210: [28, 29, 69],
+    220: [28],
+    230: [27],
+    240: [26, 27],
+    250: [25, 26],
+    260: [24, 25],
+    270: [23, 24],
+    280: [23],
+    290: [22],
+    300: [21],
+    310: [20, 21],
+    320: [19, 20],
+    330: [18, 19, 70],
+    340: [17, 18, 70],
+    350: [17, 70],
+    360: [16, 70],
+    370: [15, 70],
+    380: [14, 70],
+    390: [13, 14, 70],
+    400: [12, 13, 70],
+    410: [11, 12, 70],
+    420: [10, 11, 70],
+    430: [10, 70],
+    440: [8, 9, 70],
+    450: [8, 70],
+    460: [7, 70],
+    470: [6, 70],
+    480: [5, 6, 70],
+    490: [5, 70]
+  },
+  770: {
+    0: [43, 44, 68],
+    10: [43, 68],
+    20: [42, 68],
+    30: [41, 42, 68],
+    40: [41, 68],
+    50: [40, 68],
+    60: [39, 40, 68],
+    70: [39, 68],
+    80: [38],
+    90: [37, 38],
+    100: [37],
+    110: [36],
+    120: [35, 36],
+    130: [34, 35, 69],
+    140: [34, 69],
+    150: [33, 69],
+    160: [32, 33, 69],
+    170: [31, 32, 69],
+    180: [31, 69],
+    190: [30, 69],
+    200: [29, 30, 69],
+    210: [28, 29, 69],
+    220: [27, 28, 69],
+    230: [27, 69],
+    240: [26, 69],
+    250: [25, 26, 69],
+    260: [24, 25, 69],
+    270: [23, 24, 69],
+    280: [23, 69],
+    290: [22, 69],
+    300: [21, 69],
+    310: [20, 21, 69],
+    320: [19, 20, 69],
+    330: [18, 19, 69],
+    340: [17, 18],
+    350: [17],
+    360: [16],
+    370: [15],
+    380: [14, 15],
+    390: [13, 14],
+    400: [12, 13],
+    410: [11, 12],
+    420: [10, 11],
+    430: [9, 10],
+    440: [8, 9],
+    450: [8],
+    460: [7],
+    470: [6, 7],
+    480: [5, 6, 70],
+    490: [5, 70]
+  },
+  780: {
+    0: [43, 44],
+    10: [42, 43, 68],
+    20: [42, 68],
+    30: [41, 42, 68],
+    40: [41, 68],
+    50: [40, 68],
+    60: [39, 40, 68],
+    70: [39, 68],
+    80: [38, 68],
+    90: [37, 38, 68],
+    100: [36, 37, 68],
+    110: [36, 68],
+    120: [35, 68],
+    130: [34, 35, 68],
+    140: [33, 34, 68],
+    150: [33],
+    160: [32],
+    170: [31, 32],
+    180: [30, 31],
+    190: [30],
+    200: [29],
+    210: [28, 29],
+    220: [27, 28],
+    230: [27, 69],
+    240: [26, 69],
+    250: [25, 26, 69],
+    260: [24, 25, 69],
+    270: [23, 24, 69],
+    280: [22, 23, 69],
+    290: [22, 69],
+    300: [21, 69],
+    310: [20, 21, 69],
+    320: [19, 20, 69],
+    330: [18, 19, 69],
+    340: [17, 18, 69],
+    350: [17, 69],
+    360: [16, 69],
+    370: [15, 69],
+    380: [14, 15, 69],
+    390: [13, 14, 69],
+    400: [12, 13, 69],
+    410: [11, 12, 69],
+    420: [10, 11, 69],
+    430: [9, 10, 69],
+    440: [9, 69],
+    450: [8, 69],
+    460: [7, 8, 69],
+    470: [6, 7],
+    480: [5, 6],
+    490: [5]
+  },
+  790: {
+    0: [43, 67],
+    10: [42, 43, 67],
+    20: [42, 67],
+    30: [41, 67],
+    40: [40, 41],
+    50: [40],
+    60: [39],
+    70: [38, 39],
+    80: [38, 68],
+    90: [37, 68],
+    100: [36, 37, 68],
+    110: [35, 36, 68],
+    120: [35, 68],
+    130: [34, 68],
+    140: [33, 34, 68],
+    150: [33, 68],
+    160: [32, 68],
+    170: [31, 32, 68],
+    180: [30, 31, 68],
+    190: [30, 68],
+    200: [29, 68],
+    210: [28, 68],
+    220: [27, 28, 68],
+    230: [26, 27, 68],
+    240: [26],
+    250: [25],
+    260: [24, 25],
+    270: [23, 24],
+    280: [22, 23],
+    290: [22],
+    300: [21],
+    310: [20],
+    320: [19, 20],
+    330: [18, 19],
+    340: [17, 18],
+    350: [16, 17, 69],
+    360: [16, 69],
+    370: [15, 69],
+    380: [14, 15, 69],
+    390: [13, 14, 69],
+    400: [12, 13, 69],
+    410: [11, 12, 69],
+    420: [10, 11, 69],
+    430: [10, 69],
+    440: [9, 69],
+    450: [8, 9, 69],
+    460: [7, 8, 69],
+    470: [6, 7, 69],
+    480: [5, 6, 69],
+    490: [5, 69]
+  },
+  800: {
+    0: [43, 67],
+    10: [42, 67],
+    20: [41, 42, 67],
+    30: [41, 67],
+    40: [40, 67],
+    50: [39, 40, 67],
+    60: [39, 67],
+    70: [38, 67],
+    80: [37, 38, 67],
+    90: [37, 67],
+    100: [36],
+    110: [35, 36],
+    120: [35],
+    130: [34],
+    140: [33, 34],
+    150: [32, 33, 68],
+    160: [32, 68],
+    170: [31, 68],
+    180: [30, 31, 68],
+    190: [29, 30, 68],
+    200: [29, 68],
+    210: [28, 68],
+    220: [27, 28, 68],
+    230: [26, 27, 68],
+    240: [26, 68],
+    250: [25, 68],
+    260: [24, 68],
+    270: [23, 24, 68],
+    280: [22, 23, 68],
+    290: [22, 68],
+    300: [21, 68],
+    310: [20, 68],
+    320: [19, 20, 68],
+    330: [18, 19, 68],
+    340: [17, 18, 68],
+    350: [16, 17],
+    360: [16],
+    370: [15],
+    380: [14, 15],
+    390: [13, 14],
+    400: [12, 13],
+    410: [11, 12],
+    420: [11],
+    430: [10],
+    440: [9],
+    450: [8],
+    460: [7, 8],
+    470: [6, 7],
+    480: [5, 6],
+    490: [5]
+  },
+  810: {
+    0: [43, 66],
+    10: [42],
+    20: [41, 42],
+    30: [41],
+    40: [40, 67],
+    50: [39, 40, 67],
+    60: [39, 67],
+    70: [38, 67],
+    80: [37, 38, 67],
+    90: [36, 37, 67],
+    100: [36, 67],
+    110: [35, 67],
+    120: [34, 35, 67],
+    130: [34, 67],
+    140: [33, 67],
+    150: [32, 33, 67],
+    160: [31, 32, 67],
+    170: [31],
+    180: [30],
+    190: [29, 30],
+    200: [28, 29],
+    210: [28],
+    220: [27],
+    230: [26, 27],
+    240: [25, 26, 68],
+    250: [25, 68],
+    260: [24, 68],
+    270: [23, 68],
+    280: [22, 23, 68],
+    290: [21, 22, 68],
+    300: [21, 68],
+    310: [20, 68],
+    320: [19, 20, 68],
+    330: [18, 19, 68],
+    340: [17, 18, 68],
+    350: [17, 68],
+    360: [16, 68],
+    370: [15, 68],
+    380: [14, 68],
+    390: [13, 14, 68],
+    400: [12, 13, 68],
+    410: [12, 68],
+    420: [11, 68],
+    430: [10, 68],
+    440: [9, 68],
+    450: [8, 9, 68],
+    460: [7, 8, 68],
+    470: [6, 7, 68],
+    480: [6],
+    490: [5],
+    500: [5]
+  },
+  820: {
+    0: [42, 43, 66],
+    10: [42, 66],
+    20: [41, 66],
+    30: [40, 41, 66],
+    40: [40, 66],
+    50: [39, 66],
+    60: [38, 39],
+    70: [38],
+    80: [37],
+    90: [36, 37],
+    100: [36, 67],
+    110: [35, 67],
+    120: [34, 35, 67],
+    130: [33, 34, 67],
+    140: [33, 67],
+    150: [32, 67],
+    160: [31, 32, 67],
+    170: [31, 67],
+    180: [30, 67],
+    190: [29, 30, 67],
+    200: [28, 29, 67],
+    210: [28, 67],
+    220: [27, 67],
+    230: [26, 27, 67],
+    240: [25, 26, 67],
+    250: [25, 67],
+    260: [24],
+    270: [23],
+    280: [22, 23],
+    290: [21, 22],
+    300: [21],
+    310: [20],
+    320: [19],
+    330: [18, 19],
+    340: [17, 18],
+    350: [17, 68],
+    360: [16, 68],
+    370: [15, 68],
+    380: [14, 15, 68],
+    390: [13, 14, 68],
+    400: [13, 68],
+    410: [12, 68],
+    420: [11, 68],
+    430: [10, 68],
+    440: [9, 10, 68],
+    450: [8, 9, 68],
+    460: [7, 8, 68],
+    470: [7, 68],
+    480: [6, 68],
+    490: [5, 68]
+  },
+  830: {
+    0: [42],
+    10: [41, 42, 66],
+    20: [41, 66],
+    30: [40, 41, 66],
+    40: [40, 66],
+    50: [39, 66],
+    60: [38, 66],
+    70: [37, 38, 66],
+    80: [37, 66],
+    90: [36, 66],
+    100: [35, 36, 66],
+    110: [35, 66],
+    120: [34],
+    130: [33, 34],
+    140: [33],
+    150: [32],
+    160: [31, 32],
+    170: [30, 31, 67],
+    180: [30, 67],
+    190: [29, 67],
+    200: [28, 29, 67],
+    210: [27, 28, 67],
+    220: [27, 67],
+    230: [26, 67],
+    240: [25, 26, 67],
+    250: [25, 67],
+    260: [24, 67],
+    270: [23, 67],
+    280: [22, 23, 67],
+    290: [21, 22, 67],
+    300: [21, 67],
+    310: [20, 67],
+    320: [19, 67],
+    330: [18, 19, 67],
+    340: [17, 18, 67],
+    350: [17, 67],
+    360: [16],
+    370: [15],
+    380: [14, 15],
+    390: [13, 14],
+    400: [12, 13],
+    410: [12],
+    420: [11],
+    430: [10, 11],
+    440: [9, 10],
+    450: [8, 9],
+    460: [8],
+    470: [7],
+    480: [6, 68],
+    490: [68]
+  },
+  840: {
+    0: [42, 65],
+    10: [41, 42, 65],
+    20: [41, 65],
+    30: [40],
+    40: [39, 40],
+    50: [39],
+    60: [38, 66],
+    70: [37, 38, 66],
+    80: [37, 66],
+    90: [36, 66],
+    100: [35, 36, 66],
+    110: [35, 66],
+    120: [34, 66],
+    130: [33, 34, 66],
+    140: [33, 66],
+    150: [32, 66],
+    160: [31, 66],
+    170: [30, 31, 66],
+    180: [30, 66],
+    190: [29, 66],
+    200: [28, 29],
+    210: [27, 28],
+    220: [27],
+    230: [26],
+    240: [25, 26],
+    250: [24, 25],
+    260: [24, 67],
+    270: [23, 67],
+    280: [22, 23, 67],
+    290: [21, 22, 67],
+    300: [21, 67],
+    310: [20, 67],
+    320: [19, 67],
+    330: [18, 19, 67],
+    340: [17, 18, 67],
+    350: [16, 17, 67],
+    360: [16, 67],
+    370: [15, 67],
+    380: [14, 15, 67],
+    390: [13, 14, 67],
+    400: [12, 13, 67],
+    410: [12, 67],
+    420: [11, 67],
+    430: [10, 11, 67],
+    440: [9, 10, 67],
+    450: [8, 9, 67],
+    460: [8, 67],
+    470: [7, 67],
+    480: [6],
+    490: [6]
+  },
+  850: {
+    0: [42, 65],
+    10: [41, 65],
+    20: [40, 41, 65],
+    30: [40, 65],
+    40: [39, 40, 65],
+    50: [39, 65],
+    60: [38, 65],
+    70: [37, 38, 65],
+    80: [36, 37, 65],
+    90: [36],
+    100: [35],
+    110: [34, 35],
+    120: [34, 66],
+    130: [33, 66],
+    140: [32, 33, 66],
+    150: [32, 66],
+    160: [31, 66],
+    170: [30, 31, 66],
+    180: [29, 30, 66],
+    190: [29, 66],
+    200: [28, 66],
+    210: [27, 28, 66],
+    220: [27, 66],
+    230: [26, 66],
+    240: [25, 26, 66],
+    250: [24, 25, 66],
+    260: [24, 66],
+    270: [23, 66],
+    280: [22],
+    290: [21, 22],
+    300: [21],
+    310: [20],
+    320: [19],
+    330: [18, 19],
+    340: [17, 18],
+    350: [17],
+    360: [16],
+    370: [15, 16, 67],
+    380: [14, 15, 67],
+    390: [13, 14, 67],
+    400: [13, 67],
+    410: [12, 67],
+    420: [11, 12, 67],
+    430: [10, 11, 67],
+    440: [9, 10, 67],
+    450: [9, 67],
+    460: [8, 67],
+    470: [7, 67],
+    480: [6, 7, 67],
+    490: [6, 67]
+  },
+  860: {
+    0: [42, 64],
+    10: [41],
+    20: [40, 41],
+    30: [40, 65],
+    40: [39, 65],
+    50: [38, 39, 65],
+    60: [38, 65],
+    70: [37, 65],
+    80: [36, 37, 65],
+    90: [36, 65],
+    100: [35, 65],
+    110: [34, 35, 65],
+    120: [34, 65],
+    130: [33, 65],
+    140: [32, 33, 65],
+    150: [32],
+    160: [31],
+    170: [30],
+    180: [29, 30],
+    190: [29],
+    200: [28, 66],
+    210: [27, 28, 66],
+    220: [26, 27, 66],
+    230: [26, 66],
+    240: [25, 66],
+    250: [24, 25, 66],
+    260: [24, 66],
+    270: [23, 66],
+    280: [22, 66],
+    290: [21, 22, 66],
+    300: [20, 21, 66],
+    310: [20, 66],
+    320: [19, 66],
+    330: [18, 19, 66],
+    340: [17, 18, 66],
+    350: [17, 66],
+    360: [16, 66],
+    370: [15, 16, 66],
+    380: [14, 15],
+    390: [13, 14],
+    400: [13],
+    410: [12],
+    420: [11, 12],
+    430: [10, 11],
+    440: [9, 10],
+    450: [9],
+    460: [8],
+    470: [7, 8],
+    480: [6, 7],
+    490: [6]
+  },
+  870: {
+    0: [42, 64],
+    10: [41, 64],
+    20: [40, 41, 64],
+    30: [40, 64],
+    40: [39, 64],
+    50: [38, 39, 64],
+    60: [38],
+    70: [37],
+    80: [36, 37],
+    90: [36, 65],
+    100: [35, 65],
+    110: [34, 35, 65],
+    120: [34, 65],
+    130: [33, 65],
+    140: [32, 33, 65],
+    150: [31, 32, 65],
+    160: [31, 65],
+    170: [30, 65],
+    180: [29, 30, 65],
+    190: [29, 65],
+    200: [28, 65],
+    210: [27, 28, 65],
+    220: [26, 27],
+    230: [26],
+    240: [25],
+    250: [24, 25],
+    260: [24],
+    270: [23],
+    280: [22, 66],
+    290: [21, 22, 66],
+    300: [20, 21, 66],
+    310: [20, 66],
+    320: [19, 66],
+    330: [18, 19, 66],
+    340: [17, 18, 66],
+    350: [17, 66],
+    360: [16, 66],
+    370: [15, 66],
+    380: [14, 15, 66],
+    390: [14, 66],
+    400: [13, 66],
+    410: [12, 66],
+    420: [11, 12, 66],
+    430: [10, 11, 66],
+    440: [10, 66],
+    450: [9, 66],
+    460: [8, 9, 66],
+    470: [7, 8, 66],
+    480: [7, 66],
+    490: [6, 66]
+  },
+  880: {
+    0: [41, 42],
+    10: [41, 64],
+    20: [40, 64],
+    30: [39, 40, 64],
+    40: [39, 64],
+    50: [38, 64],
+    60: [37, 38, 64],
+    70: [37, 64],
+    80: [36, 64],
+    90: [35, 36, 64],
+    100: [35, 64],
+    110: [34],
+    120: [33, 34],
+    130: [33],
+    140: [32],
+    150: [31, 32, 65],
+    160: [31, 65],
+    170: [30, 65],
+    180: [29, 30, 65],
+    190: [29, 65],
+    200: [28, 65],
+    210: [27, 65],
+    220: [26, 27, 65],
+    230: [26, 65],
+    240: [25, 65],
+    250: [24, 25, 65],
+    260: [23, 24, 65],
+    270: [23, 65],
+    280: [22, 65],
+    290: [21, 22, 65],
+    300: [20, 21],
+    310: [20],
+    320: [19],
+    330: [18, 19],
+    340: [17, 18],
+    350: [17],
+    360: [16],
+    370: [15],
+    380: [14, 15],
+    390: [14, 66],
+    400: [13, 66],
+    410: [12, 66],
+    420: [11, 12, 66],
+    430: [10, 11, 66],
+    440: [10, 66],
+    450: [9, 66],
+    460: [8, 9, 66],
+    470: [7, 8, 66],
+    480: [7, 66],
+    490: [6, 66]
+  },
+  890: {
+    0: [41, 42, 63],
+    10: [41, 63],
+    20: [40, 63],
+    30: [39, 40, 63],
+    40: [39],
+    50: [38],
+    60: [37, 38, 64],
+    70: [37, 64],
+    80: [36, 64],
+    90: [35, 36, 64],
+    100: [35, 64],
+    110: [34, 64],
+    120: [33, 34, 64],
+    130: [33, 64],
+    140: [32, 64],
+    150: [31, 32, 64],
+    160: [31, 64],
+    170: [30, 64],
+    180: [29],
+    190: [28, 29],
+    200: [28],
+    210: [27],
+    220: [26, 27, 65],
+    230: [26, 65],
+    240: [25, 65],
+    250: [24, 25, 65],
+    260: [23, 24, 65],
+    270: [23, 65],
+    280: [22, 65],
+    290: [21, 22, 65],
+    300: [20, 21, 65],
+    310: [20, 65],
+    320: [19, 65],
+    330: [18, 19, 65],
+    340: [18, 65],
+    350: [17, 65],
+    360: [16, 65],
+    370: [15, 16, 65],
+    380: [14, 15, 65],
+    390: [14, 65],
+    400: [13],
+    410: [12],
+    420: [11, 12],
+    430: [11],
+    440: [10],
+    450: [9, 10],
+    460: [8, 9],
+    470: [7, 8],
+    480: [7]
+  },
+  900: {
+    0: [41, 63],
+    10: [40, 41, 63],
+    20: [40, 63],
+    30: [39, 63],
+    40: [39, 63],
+    50: [38, 63],
+    60: [37, 38, 63],
+    70: [37, 63],
+    80: [36, 63],
+    90: [35, 36],
+    100: [35],
+    110: [34, 64],
+    120: [33, 34, 64],
+    130: [33, 64],
+    140: [32, 64],
+    150: [31, 64],
+    160: [30, 31, 64],
+    170: [30, 64],
+    180: [29, 64],
+    190: [28, 29, 64],
+    200: [28, 64],
+    210: [27, 64],
+    220: [26, 27, 64],
+    230: [26, 64],
+    240: [25, 64],
+    250: [24, 25],
+    260: [23, 24],
+    270: [23],
+    280: [22],
+    290: [21, 22],
+    300: [20, 21],
+    310: [20, 65],
+    320: [19, 65],
+    330: [18, 19, 65],
+    340: [18, 65],
+    350: [17, 65],
+    360: [16, 65],
+    370: [15, 16, 65],
+    380: [15, 65],
+    390: [14, 65],
+    400: [13, 65],
+    410: [12, 13, 65],
+    420: [12, 65],
+    430: [11, 65],
+    440: [10, 65],
+    450: [9, 10, 65],
+    460: [8, 9, 65],
+    470: [8, 65],
+    480: [7, 65],
+    490: [7, 65]
+  },
+  910: {
+    0: [41, 62],
+    10: [40, 41, 62],
+    20: [40, 62],
+    30: [39],
+    40: [38, 39, 63],
+    50: [38, 63],
+    60: [37, 63],
+    70: [36, 37, 63],
+    80: [36, 63],
+    90: [35, 63],
+    100: [35, 63],
+    110: [34, 63],
+    120: [33, 63],
+    130: [32, 33, 63],
+    140: [32],
+    150: [31],
+    160: [30, 31],
+    170: [30],
+    180: [29, 64],
+    190: [28, 29, 64],
+    200: [28, 64],
+    210: [27, 64],
+    220: [26, 27, 64],
+    230: [26, 64],
+    240: [25, 64],
+    250: [24, 64],
+    260: [23, 24, 64],
+    270: [23, 64],
+    280: [22, 64],
+    290: [21, 22, 64],
+    300: [21, 64],
+    310: [20, 64],
+    320: [19, 64],
+    330: [18, 19],
+    340: [18],
+    350: [17],
+    360: [16],
+    370: [15, 16],
+    380: [15],
+    390: [14],
+    400: [13],
+    410: [12, 13, 65],
+    420: [12, 65],
+    430: [11, 65],
+    440: [10, 65],
+    450: [9, 10, 65],
+    460: [9, 65],
+    470: [8, 65],
+    480: [7, 8, 65],
+    490: [7, 65]
+  },
+  920: {
+    0: [41, 62],
+    10: [40, 41, 62],
+    20: [40, 62],
+    30: [39, 62],
+    40: [38, 39, 62],
+    50: [38, 62],
+    60: [37, 62],
+    70: [36, 37],
+    80: [36],
+    90: [35, 63],
+    100: [34, 35, 63],
+    110: [34, 63],
+    120: [33, 63],
+    130: [32, 33, 63],
+    140: [32, 63],
+    150: [31, 63],
+    160: [30, 31, 63],
+    170: [30, 63],
+    180: [29, 63],
+    190: [28, 29, 63],
+    200: [28],
+    210: [27],
+    220: [26],
+    230: [25, 26],
+    240: [25],
+    250: [24, 64],
+    260: [23, 24, 64],
+    270: [23, 64],
+    280: [22, 64],
+    290: [21, 22, 64],
+    300: [21, 64],
+    310: [20, 64],
+    320: [19, 64],
+    330: [18, 19, 64],
+    340: [18, 64],
+    350: [17, 64],
+    360: [16, 17, 64],
+    370: [15, 16, 64],
+    380: [15, 64],
+    390: [14, 64],
+    400: [13, 14, 64],
+    410: [13, 64],
+    420: [12, 64],
+    430: [11],
+    440: [10, 11],
+    450: [9, 10],
+    460: [9],
+    470: [8],
+    480: [7, 8],
+    490: [7]
+  },
+  930: {
+    0: [41, 61],
+    10: [40, 41, 61],
+    20: [40, 62],
+    30: [39, 62],
+    40: [38, 39, 62],
+    50: [38, 62],
+    60: [37, 62],
+    70: [36, 37, 62],
+    80: [36, 62],
+    90: [35, 62],
+    100: [34, 35, 62],
+    110: [34, 62],
+    120: [33],
+    130: [32, 33],
+    140: [32, 63],
+    150: [31, 63],
+    160: [30, 31, 63],
+    170: [30, 63],
+    180: [29, 63],
+    190: [28, 29, 63],
+    200: [28, 63],
+    210: [27, 63],
+    220: [26, 63],
+    230: [25, 26, 63],
+    240: [25, 63],
+    250: [24, 63],
+    260: [23, 24, 63],
+    270: [23, 63],
+    280: [22],
+    290: [21, 22],
+    300: [21],
+    310: [20],
+    320: [19],
+    330: [18, 19, 64],
+    340: [18, 64],
+    350: [17, 64],
+    360: [16, 17, 64],
+    370: [15, 16, 64],
+    380: [15, 64],
+    390: [14, 64],
+    400: [13, 14, 64],
+    410: [13, 64],
+    420: [12, 64],
+    430: [11, 64],
+    440: [10, 11, 64],
+    450: [10, 64],
+    460: [9, 64],
+    470: [8, 9, 64],
+    480: [7, 8, 64],
+    490: [7, 64]
+  },
+  940: {
+    0: [41, 61],
+    10: [40, 61],
+    20: [40, 61],
+    30: [39, 61],
+    40: [38, 61],
+    50: [38, 61],
+    60: [37],
+    70: [36, 37, 62],
+    80: [36, 62],
+    90: [35, 62],
+    100: [34, 35, 62],
+    110: [34, 62],
+    120: [33, 62],
+    130: [32, 33, 62],
+    140: [32, 62],
+    150: [31, 62],
+    160: [30, 31, 62],
+    170: [30],
+    180: [29],
+    190: [28, 29],
+    200: [28, 63],
+    210: [27, 63],
+    220: [26, 63],
+    230: [25, 26, 63],
+    240: [25, 63],
+    250: [24, 63],
+    260: [23, 24, 63],
+    270: [23, 63],
+    280: [22, 63],
+    290: [21, 22, 63],
+    300: [21, 63],
+    310: [20, 63],
+    320: [19, 63],
+    330: [18, 19, 63],
+    340: [18, 63],
+    350: [17],
+    360: [16, 17],
+    370: [16],
+    380: [15],
+    390: [14],
+    400: [13, 14],
+    410: [13],
+    420: [12],
+    430: [11, 64],
+    440: [10, 11, 64],
+    450: [10, 64],
+    460: [9, 64],
+    470: [8, 9, 64],
+    480: [8, 64],
+    490: [7, 64],
+    500: [64]
+  },
+  950: {
+    0: [41, 60],
+    10: [40, 61],
+    20: [39, 40, 61],
+    30: [39, 61],
+    40: [38, 61],
+    50: [38, 61],
+    60: [37, 61],
+    70: [36, 61],
+    80: [36, 61],
+    90: [35, 61],
+    100: [34, 35],
+    110: [34],
+    120: [33, 62],
+    130: [32, 33, 62],
+    140: [32, 62],
+    150: [31, 62],
+    160: [30, 31, 62],
+    170: [30, 62],
+    180: [29, 62],
+    190: [28, 29, 62],
+    200: [28, 62],
+    210: [27, 62],
+    220: [26, 62],
+    230: [25, 26],
+    240: [25],
+    250: [24],
+    260: [23, 24],
+    270: [23],
+    280: [22, 63],
+    290: [21, 22, 63],
+    300: [21, 63],
+    310: [20, 63],
+    320: [19, 20, 63],
+    330: [18, 19, 63],
+    340: [18, 63],
+    350: [17, 63],
+    360: [16, 17, 63],
+    370: [16, 63],
+    380: [15, 63],
+    390: [14, 15, 63],
+    400: [14, 63],
+    410: [13, 63],
+    420: [12, 63],
+    430: [11, 12, 63],
+    440: [11, 63],
+    450: [10, 63],
+    460: [9, 10],
+    470: [8, 9],
+    480: [8]
+  },
+  960: {
+    0: [41, 60],
+    10: [40, 60],
+    20: [39, 40, 60],
+    30: [39, 60],
+    40: [38, 60],
+    50: [37, 38],
+    60: [37, 61],
+    70: [36, 61],
+    80: [36, 61],
+    90: [35, 61],
+    100: [34, 61],
+    110: [34, 61],
+    120: [33, 61],
+    130: [32, 33, 61],
+    140: [32, 61],
+    150: [31],
+    160: [30, 31],
+    170: [30, 62],
+    180: [29, 62],
+    190: [28, 29, 62],
+    200: [28, 62],
+    210: [27, 62],
+    220: [26, 62],
+    230: [25, 26, 62],
+    240: [25, 62],
+    250: [24, 62],
+    260: [23, 24, 62],
+    270: [23, 62],
+    280: [22, 62],
+    290: [21, 22, 62],
+    300: [21, 62],
+    310: [20],
+    320: [19, 20],
+    330: [18, 19],
+    340: [18],
+    350: [17],
+    360: [16, 17, 63],
+    370: [16, 63],
+    380: [15, 63],
+    390: [14, 15, 63],
+    400: [14, 63],
+    410: [13, 63],
+    420: [12, 63],
+    430: [11, 12, 63],
+    440: [11, 63],
+    450: [10, 63],
+    460: [9, 10, 63],
+    470: [9, 63],
+    480: [8, 63],
+    490: [8, 63]
+  },
+  970: {
+    0: [41, 59],
+    10: [40, 60],
+    20: [39, 40, 60],
+    30: [39, 60],
+    40: [38, 60],
+    50: [37, 38, 60],
+    60: [37, 60],
+    70: [36, 60],
+    80: [35, 36, 60],
+    90: [35],
+    100: [34, 61],
+    110: [34, 61],
+    120: [33, 61],
+    130: [32, 61],
+    140: [32, 61],
+    150: [31, 61],
+    160: [30, 31, 61],
+    170: [30, 61],
+    180: [29, 61],
+    190: [28, 61],
+    200: [28],
+    210: [27],
+    220: [26],
+    230: [25, 26, 62],
+    240: [25, 62],
+    250: [24, 62],
+    260: [23, 24, 62],
+    270: [23, 62],
+    280: [22, 62],
+    290: [21, 22, 62],
+    300: [21, 62],
+    310: [20, 62],
+    320: [19, 20, 62],
+    330: [19, 62],
+    340: [18, 62],
+    350: [17, 18, 62],
+    360: [16, 17, 62],
+    370: [16, 62],
+    380: [15],
+    390: [14, 15],
+    400: [14],
+    410: [13],
+    420: [12, 13],
+    430: [12],
+    440: [11],
+    450: [10, 11],
+    460: [9, 10, 63],
+    470: [9, 63],
+    480: [8, 63],
+    490: [8, 63]
+  },
+  980: {
+    0: [41, 59],
+    10: [40, 59],
+    20: [39, 40, 59],
+    30: [39, 59],
+    40: [38],
+    50: [37, 38, 60],
+    60: [37, 60],
+    70: [36, 60],
+    80: [35, 36, 60],
+    90: [35, 60],
+    100: [34, 60],
+    110: [34, 60],
+    120: [33, 60],
+    130: [32],
+    140: [32],
+    150: [31, 61],
+    160: [30, 61],
+    170: [30, 61],
+    180: [29, 61],
+    190: [28, 61],
+    200: [28, 61],
+    210: [27, 61],
+    220: [26, 61],
+    230: [25, 26, 61],
+    240: [25, 61],
+    250: [24, 61],
+    260: [23, 24, 61],
+    270: [23],
+    280: [22],
+    290: [21, 22],
+    300: [21],
+    310: [20, 62],
+    320: [19, 20, 62],
+    330: [19, 62],
+    340: [18, 62],
+    350: [17, 18, 62],
+    360: [17, 62],
+    370: [16, 62],
+    380: [15, 16, 62],
+    390: [15, 62],
+    400: [14, 62],
+    410: [13, 62],
+    420: [12, 13, 62],
+    430: [12, 62],
+    440: [11, 62],
+    450: [10, 11, 62],
+    460: [10, 62],
+    470: [9, 62],
+    480: [8, 9, 62],
+    490: [8]
+  },
+  990: {
+    0: [41, 58],
+    10: [40, 59],
+    20: [39, 40, 59],
+    30: [39, 59],
+    40: [38, 59],
+    50: [37, 38, 59],
+    60: [37, 59],
+    70: [36, 59],
+    80: [35, 36, 60],
+    90: [35, 60],
+    100: [34, 60],
+    110: [33, 34, 60],
+    120: [33, 60],
+    130: [32, 60],
+    140: [32, 60],
+    150: [31, 60],
+    160: [30, 60],
+    170: [30, 60],
+    180: [29],
+    190: [28],
+    200: [28, 61],
+    210: [27, 61],
+    220: [26, 61],
+    230: [26, 61],
+    240: [25, 61],
+    250: [24, 61],
+    260: [24, 61],
+    270: [23, 61],
+    280: [22, 61],
+    290: [22, 61],
+    300: [21, 61],
+    310: [20, 61],
+    320: [19, 20, 61],
+    330: [19, 61],
+    340: [18],
+    350: [17, 18],
+    360: [17],
+    370: [16],
+    380: [15, 16],
+    390: [15, 62],
+    400: [14, 62],
+    410: [13, 62],
+    420: [13, 62],
+    430: [12, 62],
+    440: [11, 12, 62],
+    450: [10, 11, 62],
+    460: [10, 62],
+    470: [9, 62],
+    480: [8, 9, 62],
+    490: [8, 62]
+  },
+  1000: {
+    0: [41, 58],
+    10: [40, 58],
+    20: [39, 40, 58],
+    30: [39, 58],
+    40: [38, 59],
+    50: [37, 38, 59],
+    60: [37, 59],
+    70: [36, 59],
+    80: [35, 36, 59],
+    90: [35, 59],
+    100: [34, 59],
+    110: [33, 34, 59],
+    120: [33],
+    130: [32, 60],
+    140: [32, 60],
+    150: [31, 60],
+    160: [30, 60],
+    170: [30, 60],
+    180: [29, 60],
+    190: [28, 60],
+    200: [28, 60],
+    210: [27, 60],
+    220: [26, 27, 60],
+    230: [26],
+    240: [25],
+    250: [24, 25],
+    260: [24],
+    270: [23, 61],
+    280: [22, 23, 61],
+    290: [22, 61],
+    300: [21, 61],
+    310: [20, 61],
+    320: [20, 61],
+    330: [19, 61],
+    340: [18, 61],
+    350: [17, 18, 61],
+    360: [17, 61],
+    370: [16, 61],
+    380: [15, 16, 61],
+    390: [15, 61],
+    400: [14, 61],
+    410: [13, 14, 61],
+    420: [13],
+    430: [12],
+    440: [11, 12],
+    450: [11],
+    460: [10],
+    470: [9, 10],
+    480: [9],
+    490: [8, 62]
+  },
+  1010: {
+    0: [41, 57],
+    10: [40, 58],
+    20: [39, 40, 58],
+    30: [39, 58],
+    40: [38, 58],
+    50: [37, 38, 58],
+    60: [37, 58],
+    70: [36],
+    80: [35, 36, 59],
+    90: [35, 59],
+    100: [34, 59],
+    110: [33, 34, 59],
+    120: [33, 59],
+    130: [32, 59],
+    140: [32, 59],
+    150: [31, 59],
+    160: [30, 31],
+    170: [30],
+    180: [29, 60],
+    190: [28, 29, 60],
+    200: [28, 60],
+    210: [27, 60],
+    220: [26, 27, 60],
+    230: [26, 60],
+    240: [25, 60],
+    250: [24, 25, 60],
+    260: [24, 60],
+    270: [23, 60],
+    280: [22, 23, 60],
+    290: [22, 60],
+    300: [21],
+    310: [20, 21],
+    320: [20],
+    330: [19],
+    340: [18, 61],
+    350: [18, 61],
+    360: [17, 61],
+    370: [16, 61],
+    380: [16, 61],
+    390: [15, 61],
+    400: [14, 61],
+    410: [13, 14, 61],
+    420: [13, 61],
+    430: [12, 61],
+    440: [11, 12, 61],
+    450: [11, 61],
+    460: [10, 61],
+    470: [9, 10, 61],
+    480: [9, 61],
+    490: [61]
+  },
+  1020: {
+    0: [41, 57],
+    10: [40, 41, 57],
+    20: [39, 40, 57],
+    30: [39, 57],
+    40: [38, 58],
+    50: [37, 38, 58],
+    60: [37, 58],
+    70: [36, 58],
+    80: [35, 36, 58],
+    90: [35, 58],
+    100: [34, 58],
+    110: [34],
+    120: [33, 59],
+    130: [32, 59],
+    140: [32, 59],
+    150: [31, 59],
+    160: [30, 31, 59],
+    170: [30, 59],
+    180: [29, 59],
+    190: [28, 29, 59],
+    200: [28, 59],
+    210: [27],
+    220: [26, 27],
+    230: [26],
+    240: [25, 60],
+    250: [24, 25, 60],
+    260: [24, 60],
+    270: [23, 60],
+    280: [22, 23, 60],
+    290: [22, 60],
+    300: [21, 60],
+    310: [20, 21, 60],
+    320: [20, 60],
+    330: [19, 60],
+    340: [18, 19, 60],
+    350: [18, 60],
+    360: [17, 60],
+    370: [16, 17],
+    380: [16],
+    390: [15],
+    400: [14, 15],
+    410: [14],
+    420: [13, 61],
+    430: [12, 13, 61],
+    440: [12, 61],
+    450: [11, 61],
+    460: [10, 11, 61],
+    470: [10, 61],
+    480: [9, 61],
+    490: [9, 61]
+  },
+  1030: {
+    0: [41, 56],
+    10: [40, 41, 56, 57],
+    20: [40, 57],
+    30: [39, 57],
+    40: [38, 39, 57],
+    50: [38, 57],
+    60: [37, 57],
+    70: [36, 58],
+    80: [36, 58],
+    90: [35, 58],
+    100: [34, 58],
+    110: [34, 58],
+    120: [33, 58],
+    130: [32, 33, 58],
+    140: [32, 58],
+    150: [31],
+    160: [30, 31, 59],
+    170: [30, 59],
+    180: [29, 59],
+    190: [28, 29, 59],
+    200: [28, 59],
+    210: [27, 59],
+    220: [26, 27, 59],
+    230: [26, 59],
+    240: [25, 59],
+    250: [24, 25, 59],
+    260: [24, 59],
+    270: [23],
+    280: [22, 23],
+    290: [22],
+    300: [21, 60],
+    310: [20, 21, 60],
+    320: [20, 60],
+    330: [19, 60],
+    340: [18, 19, 60],
+    350: [18, 60],
+    360: [17, 60],
+    370: [16, 17, 60],
+    380: [16, 60],
+    390: [15, 60],
+    400: [14, 15, 60],
+    410: [14, 60],
+    420: [13, 60],
+    430: [12, 13, 60],
+    440: [12, 60],
+    450: [11],
+    460: [10, 11],
+    470: [10],
+    480: [9],
+    490: [9]
+  },
+  1040: {
+    0: [41, 42, 56],
+    10: [40, 41, 56],
+    20: [40, 56],
+    30: [39, 56],
+    40: [38, 39, 56, 57],
+    50: [38, 57],
+    60: [37, 57],
+    70: [36, 37, 57],
+    80: [36, 57],
+    90: [35, 57],
+    100: [34, 35, 57],
+    110: [34, 58],
+    120: [33, 58],
+    130: [32, 33, 58],
+    140: [32, 58],
+    150: [31, 58],
+    160: [30, 31, 58],
+    170: [30, 58],
+    180: [29, 58],
+    190: [28, 29, 58],
+    200: [28],
+    210: [27, 59],
+    220: [26, 27, 59],
+    230: [26, 59],
+    240: [25, 59],
+    250: [24, 25, 59],
+    260: [24, 59],
+    270: [23, 59],
+    280: [22, 23, 59],
+    290: [22, 59],
+    300: [21, 59],
+    310: [20, 21, 59],
+    320: [20, 59],
+    330: [19, 59],
+    340: [19],
+    350: [18],
+    360: [17, 18],
+    370: [17],
+    380: [16, 60],
+    390: [15, 16, 60],
+    400: [15, 60],
+    410: [14, 60],
+    420: [13, 14, 60],
+    430: [13, 60],
+    440: [12, 60],
+    450: [11, 12, 60],
+    460: [11, 60],
+    470: [10, 60],
+    480: [9, 10, 60],
+    490: [9, 60]
+  },
+  1050: {
+    0: [41, 42, 55],
+    10: [40, 41, 55],
+    20: [40, 55, 56],
+    30: [39, 56],
+    40: [38, 39, 56],
+    50: [38, 56],
+    60: [37, 56],
+    70: [36, 37, 56, 57],
+    80: [36, 57],
+    90: [35, 57],
+    100: [34, 35, 57],
+    110: [34, 57],
+    120: [33, 57],
+    130: [32, 33, 57],
+    140: [32, 57],
+    150: [31, 58],
+    160: [30, 31, 58],
+    170: [30, 58],
+    180: [29, 58],
+    190: [28, 29, 58],
+    200: [28, 58],
+    210: [27, 58],
+    220: [26, 27, 58],
+    230: [26, 58],
+    240: [25, 58],
+    250: [25],
+    260: [24],
+    270: [23, 24, 59],
+    280: [23, 59],
+    290: [22, 59],
+    300: [21, 22, 59],
+    310: [21, 59],
+    320: [20, 59],
+    330: [19, 20, 59],
+    340: [19, 59],
+    350: [18, 59],
+    360: [17, 18, 59],
+    370: [17, 59],
+    380: [16, 59],
+    390: [15, 16, 59],
+    400: [15, 59],
+    410: [14],
+    420: [13, 14],
+    430: [13],
+    440: [12],
+    450: [11, 12],
+    460: [11, 60],
+    470: [10, 60],
+    480: [9, 10, 60],
+    490: [9, 60]
+  },
+  1060: {
+    0: [41, 42, 54, 55],
+    10: [41, 55],
+    20: [40, 55],
+    30: [39, 40, 55],
+    40: [38, 39, 55, 56],
+    50: [38, 56],
+    60: [37, 56],
+    70: [36, 37, 56],
+    80: [36, 56],
+    90: [35, 56],
+    100: [34, 35, 56],
+    110: [34, 57],
+    120: [33, 57],
+    130: [32, 33, 57],
+    140: [32, 57],
+    150: [31, 57],
+    160: [30, 31, 57],
+    170: [30, 57],
+    180: [29, 57],
+    190: [29],
+    200: [28, 58],
+    210: [27, 58],
+    220: [27, 58],
+    230: [26, 58],
+    240: [25, 26, 58],
+    250: [25, 58],
+    260: [24, 58],
+    270: [23, 24, 58],
+    280: [23, 58],
+    290: [22, 58],
+    300: [21, 22, 58],
+    310: [21],
+    320: [20],
+    330: [19, 20],
+    340: [19, 59],
+    350: [18, 59],
+    360: [17, 18, 59],
+    370: [17, 59],
+    380: [16, 59],
+    390: [15, 16, 59],
+    400: [15, 59],
+    410: [14, 59],
+    420: [14, 59],
+    430: [13, 59],
+    440: [12, 13, 59],
+    450: [12, 59],
+    460: [11, 59],
+    470: [10, 11, 59],
+    480: [10, 59],
+    490: [9],
+    500: [9]
+  },
+  1070: {
+    0: [41, 42, 54],
+    10: [41, 54],
+    20: [40, 54, 55],
+    30: [39, 40, 55],
+    40: [39, 55],
+    50: [38, 55],
+    60: [37, 38, 55],
+    70: [36, 37, 55, 56],
+    80: [36, 56],
+    90: [35, 56],
+    100: [34, 35, 56],
+    110: [34, 56],
+    120: [33, 56],
+    130: [32, 33, 56],
+    140: [32, 57],
+    150: [31, 57],
+    160: [31, 57],
+    170: [30, 57],
+    180: [29, 30, 57],
+    190: [29, 57],
+    200: [28, 57],
+    210: [27, 28, 57],
+    220: [27, 57],
+    230: [26],
+    240: [25, 26],
+    250: [25, 58],
+    260: [24, 58],
+    270: [23, 24, 58],
+    280: [23, 58],
+    290: [22, 58],
+    300: [22, 58],
+    310: [21, 58],
+    320: [20, 58],
+    330: [20, 58],
+    340: [19, 58],
+    350: [18, 58],
+    360: [18, 58],
+    370: [17],
+    380: [16, 17],
+    390: [16],
+    400: [15],
+    410: [14, 15, 59],
+    420: [14, 59],
+    430: [13, 59],
+    440: [12, 13, 59],
+    450: [12, 59],
+    460: [11, 59],
+    470: [11, 59],
+    480: [10, 59],
+    490: [10, 59]
+  },
+  1080: {
+    0: [42, 53],
+    10: [41, 42, 53, 54],
+    20: [40, 41, 54],
+    30: [39, 40, 54],
+    40: [39, 54],
+    50: [38, 54, 55],
+    60: [37, 38, 55],
+    70: [37, 55],
+    80: [36, 55],
+    90: [35, 36, 55],
+    100: [35, 55],
+    110: [34, 56],
+    120: [33, 34, 56],
+    130: [33, 56],
+    140: [32, 56],
+    150: [31, 32, 56],
+    160: [31, 56],
+    170: [30, 56],
+    180: [29, 30],
+    190: [29, 57],
+    200: [28, 57],
+    210: [27, 28, 57],
+    220: [27, 57],
+    230: [26, 57],
+    240: [25, 26, 57],
+    250: [25, 57],
+    260: [24, 57],
+    270: [23, 24, 57],
+    280: [23, 57],
+    290: [22],
+    300: [22],
+    310: [21, 58],
+    320: [20, 21, 58],
+    330: [20, 58],
+    340: [19, 58],
+    350: [18, 19, 58],
+    360: [18, 58],
+    370: [17, 58],
+    380: [16, 17, 58],
+    390: [16, 58],
+    400: [15, 58],
+    410: [15, 58],
+    420: [14, 58],
+    430: [13, 14, 58],
+    440: [13, 58],
+    450: [12],
+    460: [11, 12],
+    470: [11],
+    480: [10],
+    490: [10]
+  },
+  1090: {
+    0: [42, 43, 52, 53],
+    10: [41, 42, 52, 53],
+    20: [40, 41, 53],
+    30: [40, 53, 54],
+    40: [39, 53, 54],
+    50: [38, 39, 54],
+    60: [37, 38, 54],
+    70: [37, 54],
+    80: [36, 54, 55],
+    90: [35, 36, 55],
+    100: [35, 55],
+    110: [34, 55],
+    120: [33, 34, 55],
+    130: [33, 55],
+    140: [32, 56],
+    150: [31, 32, 56],
+    160: [31, 56],
+    170: [30, 56],
+    180: [29, 30, 56],
+    190: [29, 56],
+    200: [28, 56],
+    210: [27, 28, 56],
+    220: [27, 56],
+    230: [26, 57],
+    240: [26, 57],
+    250: [25, 57],
+    260: [24, 25, 57],
+    270: [24, 57],
+    280: [23, 57],
+    290: [22, 23, 57],
+    300: [22, 57],
+    310: [21, 57],
+    320: [20, 21, 57],
+    330: [20, 57],
+    340: [19, 57],
+    350: [19],
+    360: [18],
+    370: [17, 18],
+    380: [17, 58],
+    390: [16, 58],
+    400: [15, 16, 58],
+    410: [15, 58],
+    420: [14, 58],
+    430: [13, 14, 58],
+    440: [13, 58],
+    450: [12, 58],
+    460: [12, 58],
+    470: [11, 58],
+    480: [10, 11, 58],
+    490: [10, 58]
+  },
+  1100: {
+    0: [42, 43, 51, 52],
+    10: [41, 42, 52],
+    20: [41, 52, 53],
+    30: [40, 52, 53],
+    40: [39, 40, 53],
+    50: [38, 39, 53],
+    60: [38, 53, 54],
+    70: [37, 54],
+    80: [36, 37, 54],
+    90: [35, 36, 54],
+    100: [35, 54],
+    110: [34, 55],
+    120: [33, 34, 55],
+    130: [33, 55],
+    140: [32, 55],
+    150: [31, 32, 55],
+    160: [31, 55],
+    170: [30, 55],
+    180: [30, 56],
+    190: [29, 56],
+    200: [28, 29, 56],
+    210: [28, 56],
+    220: [27, 56],
+    230: [26, 27, 56],
+    240: [26, 56],
+    250: [25, 56],
+    260: [24, 25, 56],
+    270: [24],
+    280: [23],
+    290: [23, 57],
+    300: [22, 57],
+    310: [21, 57],
+    320: [21, 57],
+    330: [20, 57],
+    340: [19, 57],
+    350: [19, 57],
+    360: [18, 57],
+    370: [17, 18, 57],
+    380: [17, 57],
+    390: [16, 57],
+    400: [15, 16, 57],
+    410: [15],
+    420: [14],
+    430: [14],
+    440: [13],
+    450: [12, 13, 58],
+    460: [12, 58],
+    470: [11, 58],
+    480: [10, 11, 58],
+    490: [10, 58],
+    500: [10]
+  },
+  1110: {
+    0: [43, 44, 50, 51],
+    10: [42, 43, 51, 52],
+    20: [41, 42, 51, 52],
+    30: [40, 41, 52],
+    40: [39, 40, 52, 53],
+    50: [39, 52, 53],
+    60: [38, 53],
+    70: [37, 38, 53],
+    80: [36, 37, 53, 54],
+    90: [36, 54],
+    100: [35, 54],
+    110: [34, 35, 54],
+    120: [34, 54],
+    130: [33, 54],
+    140: [32, 33, 54, 55],
+    150: [32, 55],
+    160: [31, 55],
+    170: [30, 31, 55],
+    180: [30, 55],
+    190: [29, 55],
+    200: [28, 29, 55],
+    210: [28, 55],
+    220: [27],
+    230: [26, 27, 56],
+    240: [26, 56],
+    250: [25, 56],
+    260: [25, 56],
+    270: [24, 56],
+    280: [23, 56],
+    290: [23, 56],
+    300: [22, 56],
+    310: [21, 22, 56],
+    320: [21, 56],
+    330: [20],
+    340: [19, 20],
+    350: [19, 57],
+    360: [18, 57],
+    370: [18, 57],
+    380: [17, 57],
+    390: [16, 17, 57],
+    400: [16, 57],
+    410: [15, 57],
+    420: [14, 15, 57],
+    430: [14, 57],
+    440: [13, 57],
+    450: [13, 57],
+    460: [12, 57],
+    470: [11, 12, 57],
+    480: [11, 57],
+    490: [10],
+    500: [10]
+  },
+  1120: {
+    0: [43, 44, 45, 46, 47, 48, 49, 50],
+    10: [42, 43, 44, 49, 50, 51],
+    20: [41, 42, 50, 51],
+    30: [40, 41, 51, 52],
+    40: [40, 51, 52],
+    50: [39, 52],
+    60: [38, 39, 52, 53],
+    70: [37, 38, 52, 53],
+    80: [37, 53],
+    90: [36, 53],
+    100: [35, 36, 53],
+    110: [34, 35, 53, 54],
+    120: [34, 54],
+    130: [33, 54],
+    140: [32, 33, 54],
+    150: [32, 54],
+    160: [31, 54],
+    170: [30, 31, 54],
+    180: [30, 55],
+    190: [29, 55],
+    200: [28, 29, 55],
+    210: [28, 55],
+    220: [27, 55],
+    230: [27, 55],
+    240: [26, 55],
+    250: [25, 26, 55],
+    260: [25, 55],
+    270: [24],
+    280: [23, 24, 56],
+    290: [23, 56],
+    300: [22, 56],
+    310: [21, 22, 56],
+    320: [21, 56],
+    330: [20, 56],
+    340: [20, 56],
+    350: [19, 56],
+    360: [18, 19, 56],
+    370: [18, 56],
+    380: [17, 56],
+    390: [16, 17],
+    400: [16],
+    410: [15],
+    420: [15, 57],
+    430: [14, 57],
+    440: [13, 14, 57],
+    450: [13, 57],
+    460: [12, 57],
+    470: [12, 57],
+    480: [11, 57],
+    490: [11, 57]
+  },
+  1130: {
+    0: [44, 45, 46, 47, 48, 49],
+    10: [43, 44, 45, 46, 47, 48, 49, 50],
+    20: [42, 43, 49, 50],
+    30: [41, 42, 50, 51],
+    40: [40, 41, 50, 51],
+    50: [39, 40, 51, 52],
+    60: [38, 39, 51, 52],
+    70: [37, 38, 52],
+    80: [37, 52],
+    90: [36, 52, 53],
+    100: [35, 36, 53],
+    110: [35, 53],
+    120: [34, 53],
+    130: [33, 34, 53],
+    140: [33, 53, 54],
+    150: [32, 54],
+    160: [31, 32, 54],
+    170: [31, 54],
+    180: [30, 54],
+    190: [29, 30, 54],
+    200: [29, 54],
+    210: [28, 54],
+    220: [27, 28, 55],
+    230: [27, 55],
+    240: [26, 55],
+    250: [25, 26, 55],
+    260: [25, 55],
+    270: [24, 55],
+    280: [24, 55],
+    290: [23, 55],
+    300: [22, 23, 55],
+    310: [22, 55],
+    320: [21],
+    330: [20, 21, 56],
+    340: [20, 56],
+    350: [19, 56],
+    360: [18, 19, 56],
+    370: [18, 56],
+    380: [17, 56],
+    390: [17, 56],
+    400: [16, 56],
+    410: [15, 16, 56],
+    420: [15, 56],
+    430: [14, 56],
+    440: [14, 56],
+    450: [13, 56],
+    460: [12, 13],
+    470: [12],
+    480: [11],
+    490: [11, 57]
+  },
+  1140: {
+    0: [45, 46, 47, 48],
+    10: [43, 44, 45, 46, 47, 48, 49],
+    20: [42, 43, 44, 45, 46, 47, 48, 49, 50],
+    30: [41, 42, 43, 49, 50],
+    40: [40, 41, 49, 50],
+    50: [39, 40, 50, 51],
+    60: [38, 39, 51],
+    70: [38, 51],
+    80: [37, 38, 51, 52],
+    90: [36, 37, 52],
+    100: [35, 36, 52],
+    110: [35, 52],
+    120: [34, 35, 52, 53],
+    130: [33, 34, 53],
+    140: [33, 53],
+    150: [32, 53],
+    160: [31, 32, 53],
+    170: [31, 53],
+    180: [30, 54],
+    190: [29, 30, 54],
+    200: [29, 54],
+    210: [28, 54],
+    220: [27, 28, 54],
+    230: [27, 54],
+    240: [26, 54],
+    250: [26, 54],
+    260: [25],
+    270: [24, 25, 55],
+    280: [24, 55],
+    290: [23, 55],
+    300: [22, 23, 55],
+    310: [22, 55],
+    320: [21, 55],
+    330: [21, 55],
+    340: [20, 55],
+    350: [19, 20, 55],
+    360: [19, 55],
+    370: [18],
+    380: [17, 18],
+    390: [17, 56],
+    400: [16, 56],
+    410: [16, 56],
+    420: [15, 56],
+    430: [14, 15, 56],
+    440: [14, 56],
+    450: [13, 56],
+    460: [13, 56],
+    470: [12, 56],
+    480: [11, 12, 56],
+    490: [11, 56]
+  },
+  1150: {
+    10: [44, 45, 46, 47],
+    20: [43, 44, 45, 46, 47, 48],
+    30: [42, 43, 44, 45, 46, 47, 48, 49],
+    40: [41, 42, 48, 49, 50],
+    50: [40, 41, 49, 50],
+    60: [39, 40, 50],
+    70: [38, 39, 50, 51],
+    80: [37, 38, 51],
+    90: [36, 37, 51],
+    100: [36, 51, 52],
+    110: [35, 36, 51, 52],
+    120: [34, 35, 52],
+    130: [34, 52],
+    140: [33, 52],
+    150: [32, 33, 52, 53],
+    160: [32, 53],
+    170: [31, 53],
+    180: [30, 31, 53],
+    190: [30, 53],
+    200: [29, 53],
+    210: [28, 29, 53],
+    220: [28, 54],
+    230: [27, 54],
+    240: [26, 27, 54],
+    250: [26, 54],
+    260: [25, 54],
+    270: [24, 25, 54],
+    280: [24, 54],
+    290: [23, 54],
+    300: [23, 54],
+    310: [22],
+    320: [21, 22, 55],
+    330: [21, 55],
+    340: [20, 55],
+    350: [19, 20, 55],
+    360: [19, 55],
+    370: [18, 55],
+    380: [18, 55],
+    390: [17, 55],
+    400: [16, 17, 55],
+    410: [16, 55],
+    420: [15, 55],
+    430: [15],
+    440: [14],
+    450: [13, 14],
+    460: [13, 56],
+    470: [12, 56],
+    480: [12, 56],
+    490: [11, 56],
+    500: [11]
+  },
+  1160: {
+    20: [44, 45, 46, 47],
+    30: [42, 43, 44, 45, 46, 47, 48],
+    40: [41, 42, 43, 44, 45, 46, 47, 48, 49],
+    50: [40, 41, 42, 48, 49],
+    60: [39, 40, 49, 50],
+    70: [38, 39, 49, 50],
+    80: [38, 50],
+    90: [37, 50, 51],
+    100: [36, 37, 50, 51],
+    110: [35, 36, 51],
+    120: [35, 51],
+    130: [34, 51, 52],
+    140: [33, 34, 52],
+    150: [32, 33, 52],
+    160: [32, 52],
+    170: [31, 52],
+    180: [30, 31, 52, 53],
+    190: [30, 53],
+    200: [29, 53],
+    210: [28, 29, 53],
+    220: [28, 53],
+    230: [27, 53],
+    240: [27, 53],
+    250: [26, 53],
+    260: [25, 26, 54],
+    270: [25, 54],
+    280: [24, 54],
+    290: [23, 24, 54],
+    300: [23, 54],
+    310: [22, 54],
+    320: [22, 54],
+    330: [21, 54],
+    340: [20, 21, 54],
+    350: [20, 54],
+    360: [19],
+    370: [18, 19, 55],
+    380: [18, 55],
+    390: [17, 55],
+    400: [17, 55],
+    410: [16, 55],
+    420: [15, 16, 55],
+    430: [15, 55],
+    440: [14, 55],
+    450: [14, 55],
+    460: [13, 55],
+    470: [12, 13, 55],
+    480: [12, 55],
+    490: [11, 55]
+  },
+  1170: {
+    30: [43, 44, 45, 46, 47],
+    40: [42, 43, 44, 45, 46, 47, 48],
+    50: [41, 42, 43, 44, 45, 46, 47, 48],
+    60: [40, 41, 47, 48, 49],
+    70: [39, 40, 48, 49],
+    80: [38, 39, 49, 50],
+    90: [37, 38, 49, 50],
+    100: [36, 37, 50],
+    110: [36, 50, 51],
+    120: [35, 50, 51],
+    130: [34, 35, 51],
+    140: [33, 34, 51],
+    150: [33, 51],
+    160: [32, 51, 52],
+    170: [31, 32, 52],
+    180: [31, 52],
+    190: [30, 52],
+    200: [29, 30, 52],
+    210: [29, 52],
+    220: [28, 53],
+    230: [27, 28, 53],
+    240: [27, 53],
+    250: [26, 53],
+    260: [25, 26, 53],
+    270: [25, 53],
+    280: [24, 53],
+    290: [24, 53],
+    300: [23],
+    310: [22, 23, 54],
+    320: [22, 54],
+    330: [21, 54],
+    340: [20, 21, 54],
+    350: [20, 54],
+    360: [19, 54],
+    370: [19, 54],
+    380: [18, 54],
+    390: [17, 18, 54],
+    400: [17, 54],
+    410: [16, 54],
+    420: [16],
+    430: [15, 55],
+    440: [14, 15, 55],
+    450: [14, 55],
+    460: [13, 55],
+    470: [13, 55],
+    480: [12, 55],
+    490: [12, 55],
+    500: [55]
+  },
+  1180: {
+    40: [43, 44, 45, 46],
+    50: [41, 42, 43, 44, 45, 46, 47],
+    60: [40, 41, 42, 43, 44, 45, 46, 47, 48],
+    70: [39, 40, 41, 47, 48],
+    80: [38, 39, 40, 48, 49],
+    90: [37, 38, 48, 49],
+    100: [37, 49, 50],
+    110: [36, 37, 49, 50],
+    120: [35, 36, 50],
+    130: [34, 35, 50],
+    140: [34, 50, 51],
+    150: [33, 51],
+    160: [32, 33, 51],
+    170: [31, 32, 51],
+    180: [31, 51],
+    190: [30, 31, 51, 52],
+    200: [29, 30, 52],
+    210: [29, 52],
+    220: [28, 29, 52],
+    230: [28, 52],
+    240: [27, 52],
+    250: [26, 27, 52],
+    260: [26, 53],
+    270: [25, 53],
+    280: [24, 25, 53],
+    290: [24, 53],
+    300: [23, 53],
+    310: [22, 23, 53],
+    320: [22, 53],
+    330: [21, 53],
+    340: [21, 53],
+    350: [20],
+    360: [19, 20, 54],
+    370: [19, 54],
+    380: [18, 54],
+    390: [18, 54],
+    400: [17, 54],
+    410: [16, 17, 54],
+    420: [16, 54],
+    430: [15, 54],
+    440: [15, 54],
+    450: [14, 54],
+    460: [13, 14, 54],
+    470: [13, 54],
+    480: [12],
+    490: [12]
+  },
+  1190: {
+    50: [42, 43, 44, 45, 46],
+    60: [41, 42, 43, 44, 45, 46, 47],
+    70: [40, 41, 42, 43, 44, 45, 46, 47, 48],
+    80: [39, 40, 41, 46, 47, 48],
+    90: [38, 39, 47, 48],
+    100: [37, 38, 48, 49],
+    110: [36, 37, 48, 49],
+    120: [35, 36, 49, 50],
+    130: [35, 49, 50],
+    140: [34, 50],
+    150: [33, 34, 50],
+    160: [32, 33, 50],
+    170: [32, 50, 51],
+    180: [31, 32, 51],
+    190: [30, 31, 51],
+    200: [30, 51],
+    210: [29, 51],
+    220: [28, 29, 51, 52],
+    230: [28, 52],
+    240: [27, 52],
+    250: [26, 27, 52],
+    260: [26, 52],
+    270: [25, 26, 52],
+    280: [25, 52],
+    290: [24, 52],
+    300: [23, 24, 53],
+    310: [23, 53],
+    320: [22, 53],
+    330: [21, 22, 53],
+    340: [21, 53],
+    350: [20, 53],
+    360: [20, 53],
+    370: [19, 53],
+    380: [18, 19, 53],
+    390: [18, 53],
+    400: [17],
+    410: [17],
+    420: [16, 54],
+    430: [15, 16, 54],
+    440: [15, 54],
+    450: [14, 54],
+    460: [14, 54],
+    470: [13, 54],
+    480: [12, 13, 54],
+    490: [12, 54],
+    500: [12]
+  }
+};
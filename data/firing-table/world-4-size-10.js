@@ -1,831 +1,530 @@
 // Firing Table Data for World 4
-// Generated on 2025-08-04T22:27:49.355Z
+// Cannonball size level 10 (radius 16.0px)
+// Generated on 2026-10-19T18:31:50.446Z
 export default {
   0: {
-    0: [102, 103, 104, 105],
-    10: [102, 103, 104, 105],
-    20: [102, 103, 104, 105],
-    30: [102, 103, 104, 105, 106],
-    40: [103, 104, 105, 106],
-    50: [103, 104, 105, 106],
-    60: [103, 104, 105, 106, 107],
-    70: [104, 105, 106, 107],
-    80: [104, 105, 106, 107, 108],
-    90: [105, 106, 107, 108],
-    100: [105, 106, 107, 108, 109],
-    110: [105, 106, 107, 108, 109],
-    120: [106, 107, 108, 109, 110],
-    130: [106, 107, 108, 109, 110],
-    140: [107, 108, 109, 110, 111],
-    150: [107, 108, 109, 110, 111, 112],
-    160: [108, 109, 110, 111, 112],
-    170: [108, 109, 110, 111, 112, 113],
-    180: [109, 110, 111, 112, 113, 114],
-    190: [109, 110, 111, 112, 113, 114, 115],
-    200: [110, 111, 112, 113, 114, 115],
-    210: [111, 112, 113, 114, 115, 116],
-    220: [112, 113, 114, 115, 116, 117],
-    230: [112, 113, 114, 115, 116, 117, 118],
-    240: [113, 114, 115, 116, 117, 118, 119],
-    250: [114, 115, 116, 117, 118, 119, 120, 121],
-    260: [115, 116, 117, 118, 119, 120, 121, 122],
-    270: [116, 117, 118, 119, 120, 121, 122, 123],
-    280: [117, 118, 119, 120, 121, 122, 123, 124, 125],
-    290: [118, 119, 120, 121, 122, 123, 124, 125, 126],
-    300: [120, 121, 122, 123, 124, 125, 126, 127, 128],
-    310: [121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
-    320: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
-    330: [124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
-    340: [126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
-    350: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
-    360: [130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
-    370: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
-    380: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
-    390: [138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
-    400: [141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
-    410: [
-      144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158,
-    ],
-    420: [
-      148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162,
-    ],
-    430: [152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
-    440: [
-      156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170,
-      171,
-    ],
-    450: [
-      160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174,
-      175, 176,
-    ],
-    460: [
-      164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178,
-      179, 180,
-    ],
-    470: [
-      169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183,
-    ],
-    480: [174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
-    490: [179, 180, 181, 182, 183],
-    500: [183],
+    0: [94, 102, 103, 104, 105],
+    10: [94, 102, 103, 104, 105],
+    20: [94, 102, 103, 104, 105],
+    30: [94, 102, 103, 104, 105, 106],
+    40: [94, 103, 104, 105, 106],
+    50: [94, 103, 104, 105, 106],
+    60: [94, 103, 104, 105, 106, 107],
+    70: [94, 104, 105, 106, 107],
+    80: [94, 104, 105, 106, 107, 108],
+    90: [94, 105, 106, 107, 108],
+    100: [94, 105, 106, 107, 108, 109],
+    110: [94, 105, 106, 107, 108, 109],
+    120: [94, 106, 107, 108, 109, 110],
+    130: [94, 106, 107, 108, 109, 110],
+    140: [94, 107, 108, 109, 110, 111],
+    150: [94, 107, 108, 109, 110, 111, 112],
+    160: [94, 108, 109, 110, 111, 112],
+    170: [94, 108, 109, 110, 111, 112, 113],
+    180: [94, 109, 110, 111, 112, 113, 114],
+    190: [94, 109, 110, 111, 112, 113, 114, 115],
+    200: [94, 110, 111, 112, 113, 114, 115],
+    210: [94, 111, 112, 113, 114, 115, 116],
+    220: [94, 112, 113, 114, 115, 116, 117],
+    230: [94, 112, 113, 114, 115, 116, 117, 118],
+    240: [94, 113, 114, 115, 116, 117, 118, 119],
+    250: [94, 114, 115, 116, 117, 118, 119, 120, 121],
+    260: [94, 115, 116, 117, 118, 119, 120, 121, 122],
+    270: [94, 116, 117, 118, 119, 120, 121, 122, 123],
+    280: [94, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    290: [94, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    300: [94, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    310: [94, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    320: [94, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    330: [94, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    340: [94, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    350: [94, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    360: [94, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    370: [94, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    380: [94, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    390: [94, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    400: [94, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    410: [94, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    420: [94, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    430: [94, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    440: [94, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    450: [94, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    460: [94, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [94, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [94, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    490: [94, 179, 180, 181, 182, 183],
+    500: [183]
   },
   10: {
-    0: [101, 102, 103, 104],
-    10: [101, 102, 103, 104],
-    20: [101, 102, 103, 104],
-    30: [101, 102, 103, 104],
-    40: [102, 103, 104, 105],
-    50: [102, 103, 104, 105],
-    60: [102, 103, 104, 105, 106],
-    70: [103, 104, 105, 106],
-    80: [103, 104, 105, 106, 107],
-    90: [103, 104, 105, 106, 107],
-    100: [104, 105, 106, 107],
-    110: [104, 105, 106, 107, 108],
-    120: [104, 105, 106, 107, 108],
-    130: [105, 106, 107, 108, 109],
-    140: [105, 106, 107, 108, 109, 110],
-    150: [106, 107, 108, 109, 110],
-    160: [106, 107, 108, 109, 110, 111],
-    170: [107, 108, 109, 110, 111, 112],
-    180: [107, 108, 109, 110, 111, 112],
-    190: [108, 109, 110, 111, 112, 113],
-    200: [108, 109, 110, 111, 112, 113, 114],
-    210: [109, 110, 111, 112, 113, 114, 115],
-    220: [110, 111, 112, 113, 114, 115, 116],
-    230: [110, 111, 112, 113, 114, 115, 116],
-    240: [111, 112, 113, 114, 115, 116, 117, 118],
-    250: [112, 113, 114, 115, 116, 117, 118],
-    260: [113, 114, 115, 116, 117, 118, 119, 120],
-    270: [114, 115, 116, 117, 118, 119, 120, 121],
-    280: [115, 116, 117, 118, 119, 120, 121, 122, 123],
-    290: [116, 117, 118, 119, 120, 121, 122, 123, 124],
-    300: [117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
-    310: [119, 120, 121, 122, 123, 124, 125, 126, 127],
-    320: [120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
-    330: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
-    340: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
-    350: [126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
-    360: [127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
-    370: [130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
-    380: [133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
-    390: [
-      135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149,
-    ],
-    400: [
-      138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152,
-    ],
-    410: [142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
-    420: [
-      145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159,
-      160, 161,
-    ],
-    430: [
-      149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163,
-      164, 165,
-    ],
-    440: [
-      154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168,
-      169, 170,
-    ],
-    450: [
-      159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173,
-      174, 175,
-    ],
-    460: [
-      164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178,
-      179, 180,
-    ],
-    470: [
-      169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183,
-      184,
-    ],
-    480: [174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
-    490: [179, 180, 181, 182, 183, 184],
+    0: [93, 94, 101, 102, 103, 104],
+    10: [93, 94, 101, 102, 103, 104],
+    20: [93, 94, 101, 102, 103, 104],
+    30: [93, 94, 101, 102, 103, 104],
+    40: [93, 94, 102, 103, 104, 105],
+    50: [93, 94, 102, 103, 104, 105],
+    60: [93, 94, 102, 103, 104, 105, 106],
+    70: [93, 94, 103, 104, 105, 106],
+    80: [93, 94, 103, 104, 105, 106, 107],
+    90: [93, 94, 103, 104, 105, 106, 107],
+    100: [93, 94, 104, 105, 106, 107],
+    110: [93, 94, 104, 105, 106, 107, 108],
+    120: [93, 94, 104, 105, 106, 107, 108],
+    130: [93, 94, 105, 106, 107, 108, 109],
+    140: [93, 94, 105, 106, 107, 108, 109, 110],
+    150: [93, 94, 106, 107, 108, 109, 110],
+    160: [93, 94, 106, 107, 108, 109, 110, 111],
+    170: [93, 94, 107, 108, 109, 110, 111, 112],
+    180: [93, 94, 107, 108, 109, 110, 111, 112],
+    190: [93, 108, 109, 110, 111, 112, 113],
+    200: [93, 108, 109, 110, 111, 112, 113, 114],
+    210: [93, 109, 110, 111, 112, 113, 114, 115],
+    220: [93, 110, 111, 112, 113, 114, 115, 116],
+    230: [93, 110, 111, 112, 113, 114, 115, 116],
+    240: [93, 111, 112, 113, 114, 115, 116, 117, 118],
+    250: [93, 112, 113, 114, 115, 116, 117, 118],
+    260: [93, 113, 114, 115, 116, 117, 118, 119, 120],
+    270: [93, 114, 115, 116, 117, 118, 119, 120, 121],
+    280: [93, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    290: [93, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    300: [93, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    310: [93, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    320: [93, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    330: [93, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    340: [93, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    350: [93, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    360: [93, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    370: [93, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    380: [93, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    390: [93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    400: [93, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    410: [93, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    420: [93, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    430: [93, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    440: [93, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    450: [93, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    460: [93, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [93, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [93, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    490: [93, 179, 180, 181, 182, 183, 184]
   },
   20: {
-    0: [100, 101, 102],
-    10: [100, 101, 102, 103],
-    20: [100, 101, 102, 103],
-    30: [100, 101, 102, 103],
-    40: [100, 101, 102, 103, 104],
-    50: [101, 102, 103, 104],
-    60: [101, 102, 103, 104],
-    70: [101, 102, 103, 104, 105],
-    80: [102, 103, 104, 105],
-    90: [102, 103, 104, 105, 106],
-    100: [102, 103, 104, 105, 106],
-    110: [102, 103, 104, 105, 106, 107],
-    120: [103, 104, 105, 106, 107],
-    130: [103, 104, 105, 106, 107],
-    140: [104, 105, 106, 107, 108],
-    150: [104, 105, 106, 107, 108, 109],
-    160: [105, 106, 107, 108, 109],
-    170: [105, 106, 107, 108, 109, 110],
-    180: [105, 106, 107, 108, 109, 110, 111],
-    190: [106, 107, 108, 109, 110, 111],
-    200: [106, 107, 108, 109, 110, 111, 112],
-    210: [107, 108, 109, 110, 111, 112, 113],
-    220: [108, 109, 110, 111, 112, 113, 114],
-    230: [109, 110, 111, 112, 113, 114, 115],
-    240: [109, 110, 111, 112, 113, 114, 115, 116],
-    250: [110, 111, 112, 113, 114, 115, 116, 117],
-    260: [111, 112, 113, 114, 115, 116, 117, 118],
-    270: [112, 113, 114, 115, 116, 117, 118, 119],
-    280: [113, 114, 115, 116, 117, 118, 119, 120],
-    290: [114, 115, 116, 117, 118, 119, 120, 121, 122],
-    300: [115, 116, 117, 118, 119, 120, 121, 122, 123],
-    310: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
-    320: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
-    330: [119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
-    340: [121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
-    350: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
-    360: [124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
-    370: [127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
-    380: [
-      129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143,
-    ],
-    390: [
-      132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146,
-    ],
-    400: [
-      136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150,
-    ],
-    410: [
-      138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152,
-      153, 154, 155,
-    ],
-    420: [
-      143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157,
-      158, 159,
-    ],
-    430: [
-      148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162,
-      163,
-    ],
-    440: [
-      152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166,
-      167, 168, 169,
-    ],
-    450: [
-      156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170,
-      171, 172, 173, 174, 175,
-    ],
-    460: [
-      161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175,
-      176, 177, 178, 179, 180, 181,
-    ],
-    470: [
-      167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181,
-      182, 183, 184,
-    ],
-    480: [173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
-    490: [178, 179, 180, 181, 182, 183, 184],
-    500: [184],
+    0: [93, 100, 101, 102],
+    10: [93, 100, 101, 102, 103],
+    20: [93, 100, 101, 102, 103],
+    30: [93, 100, 101, 102, 103],
+    40: [93, 100, 101, 102, 103, 104],
+    50: [93, 101, 102, 103, 104],
+    60: [93, 101, 102, 103, 104],
+    70: [93, 101, 102, 103, 104, 105],
+    80: [93, 102, 103, 104, 105],
+    90: [93, 102, 103, 104, 105, 106],
+    100: [93, 102, 103, 104, 105, 106],
+    110: [93, 102, 103, 104, 105, 106, 107],
+    120: [93, 103, 104, 105, 106, 107],
+    130: [93, 103, 104, 105, 106, 107],
+    140: [93, 104, 105, 106, 107, 108],
+    150: [93, 104, 105, 106, 107, 108, 109],
+    160: [93, 105, 106, 107, 108, 109],
+    170: [93, 105, 106, 107, 108, 109, 110],
+    180: [93, 105, 106, 107, 108, 109, 110, 111],
+    190: [93, 106, 107, 108, 109, 110, 111],
+    200: [93, 106, 107, 108, 109, 110, 111, 112],
+    210: [93, 107, 108, 109, 110, 111, 112, 113],
+    220: [93, 108, 109, 110, 111, 112, 113, 114],
+    230: [93, 109, 110, 111, 112, 113, 114, 115],
+    240: [93, 109, 110, 111, 112, 113, 114, 115, 116],
+    250: [93, 110, 111, 112, 113, 114, 115, 116, 117],
+    260: [93, 111, 112, 113, 114, 115, 116, 117, 118],
+    270: [93, 112, 113, 114, 115, 116, 117, 118, 119],
+    280: [93, 113, 114, 115, 116, 117, 118, 119, 120],
+    290: [93, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    300: [93, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    310: [93, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    320: [93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    330: [93, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    340: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    350: [93, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    360: [93, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    370: [93, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    380: [93, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    390: [93, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    400: [93, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    410: [93, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    420: [93, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    430: [93, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    440: [93, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    450: [93, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    460: [93, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    470: [93, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [93, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    490: [93, 178, 179, 180, 181, 182, 183, 184],
+    500: [184]
   },
   30: {
-    0: [98, 99, 100, 101],
-    10: [99, 100, 101, 102],
-    20: [99, 100, 101, 102],
-    30: [99, 100, 101, 102],
-    40: [99, 100, 101, 102],
-    50: [99, 100, 101, 102, 103],
-    60: [100, 101, 102, 103],
-    70: [100, 101, 102, 103, 104],
-    80: [100, 101, 102, 103, 104],
-    90: [100, 101, 102, 103, 104],
-    100: [101, 102, 103, 104, 105],
-    110: [101, 102, 103, 104, 105],
-    120: [101, 102, 103, 104, 105, 106],
-    130: [102, 103, 104, 105, 106],
-    140: [102, 103, 104, 105, 106, 107],
-    150: [102, 103, 104, 105, 106, 107],
-    160: [103, 104, 105, 106, 107, 108],
-    170: [103, 104, 105, 106, 107, 108],
-    180: [104, 105, 106, 107, 108, 109],
-    190: [104, 105, 106, 107, 108, 109],
-    200: [105, 106, 107, 108, 109, 110],
-    210: [105, 106, 107, 108, 109, 110, 111],
-    220: [106, 107, 108, 109, 110, 111, 112],
-    230: [106, 107, 108, 109, 110, 111, 112, 113],
-    240: [107, 108, 109, 110, 111, 112, 113, 114],
-    250: [108, 109, 110, 111, 112, 113, 114, 115],
-    260: [109, 110, 111, 112, 113, 114, 115, 116],
-    270: [109, 110, 111, 112, 113, 114, 115, 116, 117],
-    280: [110, 111, 112, 113, 114, 115, 116, 117, 118],
-    290: [111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
-    300: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
-    310: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
-    320: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
-    330: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
-    340: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
-    350: [119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
-    360: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
-    370: [
-      123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137,
-    ],
-    380: [
-      126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140,
-    ],
-    390: [
-      129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143,
-      144,
-    ],
-    400: [
-      132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146,
-      147, 148,
-    ],
-    410: [
-      136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150,
-      151, 152,
-    ],
-    420: [
-      139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153,
-      154, 155, 156, 157,
-    ],
-    430: [
-      143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157,
-      158, 159, 160, 161, 162, 163,
-    ],
-    440: [
-      148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162,
-      163, 164, 165, 166, 167, 168,
-    ],
-    450: [
-      154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168,
-      169, 170, 171, 172, 173, 174,
-    ],
-    460: [
-      161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175,
-      176, 177, 178, 179, 180,
-    ],
-    470: [
-      167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181,
-      182, 183, 184, 185, 186,
-    ],
-    480: [174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
-    490: [180, 181, 182, 183, 184, 185, 186],
+    0: [93, 98, 99, 100, 101],
+    10: [93, 99, 100, 101, 102],
+    20: [93, 99, 100, 101, 102],
+    30: [93, 99, 100, 101, 102],
+    40: [93, 99, 100, 101, 102],
+    50: [93, 99, 100, 101, 102, 103],
+    60: [93, 100, 101, 102, 103],
+    70: [93, 100, 101, 102, 103, 104],
+    80: [93, 100, 101, 102, 103, 104],
+    90: [93, 100, 101, 102, 103, 104],
+    100: [93, 101, 102, 103, 104, 105],
+    110: [93, 101, 102, 103, 104, 105],
+    120: [93, 101, 102, 103, 104, 105, 106],
+    130: [93, 102, 103, 104, 105, 106],
+    140: [93, 102, 103, 104, 105, 106, 107],
+    150: [93, 102, 103, 104, 105, 106, 107],
+    160: [93, 103, 104, 105, 106, 107, 108],
+    170: [93, 103, 104, 105, 106, 107, 108],
+    180: [93, 104, 105, 106, 107, 108, 109],
+    190: [93, 104, 105, 106, 107, 108, 109],
+    200: [93, 105, 106, 107, 108, 109, 110],
+    210: [93, 105, 106, 107, 108, 109, 110, 111],
+    220: [93, 106, 107, 108, 109, 110, 111, 112],
+    230: [93, 106, 107, 108, 109, 110, 111, 112, 113],
+    240: [93, 107, 108, 109, 110, 111, 112, 113, 114],
+    250: [93, 108, 109, 110, 111, 112, 113, 114, 115],
+    260: [93, 109, 110, 111, 112, 113, 114, 115, 116],
+    270: [93, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    280: [93, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    290: [93, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    300: [93, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    310: [93, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    320: [93, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    330: [93, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    340: [93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    350: [93, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    360: [93, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    370: [93, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    380: [93, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    390: [93, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    400: [93, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    410: [93, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    420: [93, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    430: [93, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    440: [93, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    450: [93, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [93, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [93, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    480: [93, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [93, 180, 181, 182, 183, 184, 185, 186]
   },
   40: {
-    0: [97, 98, 99, 100],
-    10: [98, 99, 100, 101],
-    20: [98, 99, 100, 101],
-    30: [98, 99, 100, 101],
-    40: [98, 99, 100, 101],
-    50: [98, 99, 100, 101, 102],
-    60: [98, 99, 100, 101, 102],
-    70: [99, 100, 101, 102],
-    80: [99, 100, 101, 102, 103],
-    90: [99, 100, 101, 102, 103],
-    100: [99, 100, 101, 102, 103],
-    110: [100, 101, 102, 103, 104],
-    120: [100, 101, 102, 103, 104],
-    130: [100, 101, 102, 103, 104, 105],
-    140: [101, 102, 103, 104, 105],
-    150: [101, 102, 103, 104, 105, 106],
-    160: [101, 102, 103, 104, 105, 106],
-    170: [102, 103, 104, 105, 106, 107],
-    180: [102, 103, 104, 105, 106, 107],
-    190: [102, 103, 104, 105, 106, 107, 108],
-    200: [103, 104, 105, 106, 107, 108, 109],
-    210: [103, 104, 105, 106, 107, 108, 109],
-    220: [104, 105, 106, 107, 108, 109, 110],
-    230: [104, 105, 106, 107, 108, 109, 110, 111],
-    240: [105, 106, 107, 108, 109, 110, 111, 112],
-    250: [105, 106, 107, 108, 109, 110, 111, 112, 113],
-    260: [106, 107, 108, 109, 110, 111, 112, 113, 114],
-    270: [107, 108, 109, 110, 111, 112, 113, 114, 115],
-    280: [108, 109, 110, 111, 112, 113, 114, 115, 116],
-    290: [109, 110, 111, 112, 113, 114, 115, 116, 117],
-    300: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
-    310: [111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
-    320: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
-    330: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
-    340: [114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
-    350: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
-    360: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
-    370: [
-      120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134,
-    ],
-    380: [
-      122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136,
-      137,
-    ],
-    390: [
-      125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139,
-      140, 141,
-    ],
-    400: [
-      129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143,
-      144,
-    ],
-    410: [
-      131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145,
-      146, 147, 148, 149, 150,
-    ],
-    420: [
-      135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149,
-      150, 151, 152, 153, 154, 155,
-    ],
-    430: [
-      141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155,
-      156, 157, 158, 159, 160,
-    ],
-    440: [
-      146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160,
-      161, 162, 163, 164, 165, 166, 167,
-    ],
-    450: [
-      151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165,
-      166, 167, 168, 169, 170, 171, 172, 173, 174,
-    ],
-    460: [
-      157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171,
-      172, 173, 174, 175, 176, 177, 178, 179, 180, 181,
-    ],
-    470: [
-      164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178,
-      179, 180, 181, 182, 183, 184, 185, 186,
-    ],
-    480: [
-      171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185,
-      186,
-    ],
-    490: [178, 179, 180, 181, 182, 183, 184, 185, 186],
-    500: [185, 186],
+    0: [92, 93, 97, 98, 99, 100],
+    10: [92, 93, 98, 99, 100, 101],
+    20: [92, 93, 98, 99, 100, 101],
+    30: [92, 93, 98, 99, 100, 101],
+    40: [92, 93, 98, 99, 100, 101],
+    50: [92, 93, 98, 99, 100, 101, 102],
+    60: [92, 93, 98, 99, 100, 101, 102],
+    70: [92, 93, 99, 100, 101, 102],
+    80: [92, 93, 99, 100, 101, 102, 103],
+    90: [92, 93, 99, 100, 101, 102, 103],
+    100: [92, 93, 99, 100, 101, 102, 103],
+    110: [92, 93, 100, 101, 102, 103, 104],
+    120: [92, 93, 100, 101, 102, 103, 104],
+    130: [92, 93, 100, 101, 102, 103, 104, 105],
+    140: [92, 93, 101, 102, 103, 104, 105],
+    150: [92, 93, 101, 102, 103, 104, 105, 106],
+    160: [92, 93, 101, 102, 103, 104, 105, 106],
+    170: [92, 93, 102, 103, 104, 105, 106, 107],
+    180: [92, 93, 102, 103, 104, 105, 106, 107],
+    190: [92, 93, 102, 103, 104, 105, 106, 107, 108],
+    200: [92, 93, 103, 104, 105, 106, 107, 108, 109],
+    210: [92, 93, 103, 104, 105, 106, 107, 108, 109],
+    220: [92, 93, 104, 105, 106, 107, 108, 109, 110],
+    230: [92, 93, 104, 105, 106, 107, 108, 109, 110, 111],
+    240: [92, 93, 105, 106, 107, 108, 109, 110, 111, 112],
+    250: [92, 93, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    260: [92, 93, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    270: [92, 93, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    280: [92, 93, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    290: [92, 93, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    300: [92, 93, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    310: [92, 93, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    320: [92, 93, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    330: [92, 93, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    340: [92, 93, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    350: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    360: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    370: [92, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    380: [92, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    390: [92, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    400: [92, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    410: [92, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    420: [92, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    430: [92, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    440: [92, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167],
+    450: [92, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [92, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    470: [92, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    480: [92, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [92, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    500: [185, 186]
   },
   50: {
-    0: [96, 97, 98, 99],
-    10: [96, 97, 98, 99],
-    20: [97, 98, 99, 100],
-    30: [97, 98, 99, 100],
-    40: [97, 98, 99, 100],
-    50: [97, 98, 99, 100],
-    60: [97, 98, 99, 100, 101],
-    70: [97, 98, 99, 100, 101],
-    80: [98, 99, 100, 101],
-    90: [98, 99, 100, 101, 102],
-    100: [98, 99, 100, 101, 102],
-    110: [98, 99, 100, 101, 102],
-    120: [98, 99, 100, 101, 102, 103],
-    130: [99, 100, 101, 102, 103],
-    140: [99, 100, 101, 102, 103, 104],
-    150: [99, 100, 101, 102, 103, 104],
-    160: [99, 100, 101, 102, 103, 104, 105],
-    170: [100, 101, 102, 103, 104, 105],
-    180: [100, 101, 102, 103, 104, 105, 106],
-    190: [100, 101, 102, 103, 104, 105, 106],
-    200: [101, 102, 103, 104, 105, 106, 107],
-    210: [101, 102, 103, 104, 105, 106, 107],
-    220: [102, 103, 104, 105, 106, 107, 108],
-    230: [102, 103, 104, 105, 106, 107, 108, 109],
-    240: [103, 104, 105, 106, 107, 108, 109, 110],
-    250: [103, 104, 105, 106, 107, 108, 109, 110],
-    260: [104, 105, 106, 107, 108, 109, 110, 111, 112],
-    270: [105, 106, 107, 108, 109, 110, 111, 112],
-    280: [105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
-    290: [106, 107, 108, 109, 110, 111, 112, 113, 114],
-    300: [107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
-    310: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
-    320: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
-    330: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
-    340: [111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
-    350: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
-    360: [
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128,
-    ],
-    370: [117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
-    380: [
-      118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132,
-      133, 134,
-    ],
-    390: [
-      121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135,
-      136, 137,
-    ],
-    400: [
-      123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137,
-      138, 139, 140, 141, 142,
-    ],
-    410: [
-      127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141,
-      142, 143, 144, 145, 146, 147,
-    ],
-    420: [
-      132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146,
-      147, 148, 149, 150, 151,
-    ],
-    430: [
-      135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149,
-      150, 151, 152, 153, 154, 155, 156, 157, 158, 159,
-    ],
-    440: [
-      141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155,
-      156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166,
-    ],
-    450: [
-      148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162,
-      163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173,
-    ],
-    460: [
-      156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170,
-      171, 172, 173, 174, 175, 176, 177, 178, 179, 180,
-    ],
-    470: [
-      163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177,
-      178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188,
-    ],
-    480: [
-      171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185,
-      186, 187, 188,
-    ],
-    490: [180, 181, 182, 183, 184, 185, 186, 187, 188],
+    0: [92, 96, 97, 98, 99],
+    10: [92, 96, 97, 98, 99],
+    20: [92, 97, 98, 99, 100],
+    30: [92, 97, 98, 99, 100],
+    40: [92, 97, 98, 99, 100],
+    50: [92, 97, 98, 99, 100],
+    60: [92, 97, 98, 99, 100, 101],
+    70: [92, 97, 98, 99, 100, 101],
+    80: [92, 98, 99, 100, 101],
+    90: [92, 98, 99, 100, 101, 102],
+    100: [92, 98, 99, 100, 101, 102],
+    110: [92, 98, 99, 100, 101, 102],
+    120: [92, 98, 99, 100, 101, 102, 103],
+    130: [92, 99, 100, 101, 102, 103],
+    140: [92, 99, 100, 101, 102, 103, 104],
+    150: [92, 99, 100, 101, 102, 103, 104],
+    160: [92, 99, 100, 101, 102, 103, 104, 105],
+    170: [92, 100, 101, 102, 103, 104, 105],
+    180: [92, 100, 101, 102, 103, 104, 105, 106],
+    190: [92, 100, 101, 102, 103, 104, 105, 106],
+    200: [92, 101, 102, 103, 104, 105, 106, 107],
+    210: [92, 101, 102, 103, 104, 105, 106, 107],
+    220: [92, 102, 103, 104, 105, 106, 107, 108],
+    230: [92, 102, 103, 104, 105, 106, 107, 108, 109],
+    240: [92, 103, 104, 105, 106, 107, 108, 109, 110],
+    250: [92, 103, 104, 105, 106, 107, 108, 109, 110],
+    260: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    270: [92, 105, 106, 107, 108, 109, 110, 111, 112],
+    280: [92, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    290: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    300: [92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    310: [92, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    320: [92, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    330: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    340: [92, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    350: [92, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    360: [92, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    370: [92, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    380: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    390: [92, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    400: [92, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    410: [92, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    420: [92, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    430: [92, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    440: [92, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [92, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [92, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [92, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [92, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [92, 180, 181, 182, 183, 184, 185, 186, 187, 188]
   },
   60: {
-    0: [95, 96, 97, 98],
-    10: [95, 96, 97, 98],
-    20: [95, 96, 97, 98, 99],
-    30: [96, 97, 98, 99],
-    40: [96, 97, 98, 99],
-    50: [96, 97, 98, 99],
-    60: [96, 97, 98, 99, 100],
-    70: [96, 97, 98, 99, 100],
-    80: [96, 97, 98, 99, 100],
-    90: [96, 97, 98, 99, 100],
-    100: [97, 98, 99, 100, 101],
-    110: [97, 98, 99, 100, 101],
-    120: [97, 98, 99, 100, 101],
-    130: [97, 98, 99, 100, 101, 102],
-    140: [97, 98, 99, 100, 101, 102],
-    150: [98, 99, 100, 101, 102],
-    160: [98, 99, 100, 101, 102, 103],
-    170: [98, 99, 100, 101, 102, 103],
-    180: [98, 99, 100, 101, 102, 103, 104],
-    190: [99, 100, 101, 102, 103, 104],
-    200: [99, 100, 101, 102, 103, 104, 105],
-    210: [99, 100, 101, 102, 103, 104, 105],
-    220: [100, 101, 102, 103, 104, 105, 106],
-    230: [100, 101, 102, 103, 104, 105, 106, 107],
-    240: [100, 101, 102, 103, 104, 105, 106, 107, 108],
-    250: [101, 102, 103, 104, 105, 106, 107, 108],
-    260: [101, 102, 103, 104, 105, 106, 107, 108, 109],
-    270: [102, 103, 104, 105, 106, 107, 108, 109, 110],
-    280: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
-    290: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
-    300: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
-    310: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
-    320: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
-    330: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
-    340: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
-    350: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
-    360: [
-      110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124,
-    ],
-    370: [
-      112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126,
-      127,
-    ],
-    380: [
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128,
-      129, 130,
-    ],
-    390: [
-      116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130,
-      131, 132, 133, 134,
-    ],
-    400: [
-      118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132,
-      133, 134, 135, 136, 137, 138,
-    ],
-    410: [
-      123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137,
-      138, 139, 140, 141, 142, 143,
-    ],
-    420: [
-      125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139,
-      140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150,
-    ],
-    430: [
-      130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144,
-      145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155,
-    ],
-    440: [
-      137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151,
-      152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163,
-    ],
-    450: [
-      142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156,
-      157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171,
-      172, 173,
-    ],
-    460: [
-      149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163,
-      164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178,
-      179, 180, 181, 182,
-    ],
-    470: [
-      158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172,
-      173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187,
-      188,
-    ],
-    480: [
-      168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182,
-      183, 184, 185, 186, 187, 188,
-    ],
-    490: [178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
-    500: [187, 188],
+    0: [92, 95, 96, 97, 98],
+    10: [92, 95, 96, 97, 98],
+    20: [92, 95, 96, 97, 98, 99],
+    30: [92, 96, 97, 98, 99],
+    40: [92, 96, 97, 98, 99],
+    50: [92, 96, 97, 98, 99],
+    60: [92, 96, 97, 98, 99, 100],
+    70: [92, 96, 97, 98, 99, 100],
+    80: [92, 96, 97, 98, 99, 100],
+    90: [92, 96, 97, 98, 99, 100],
+    100: [92, 97, 98, 99, 100, 101],
+    110: [92, 97, 98, 99, 100, 101],
+    120: [92, 97, 98, 99, 100, 101],
+    130: [92, 97, 98, 99, 100, 101, 102],
+    140: [92, 97, 98, 99, 100, 101, 102],
+    150: [92, 98, 99, 100, 101, 102],
+    160: [92, 98, 99, 100, 101, 102, 103],
+    170: [92, 98, 99, 100, 101, 102, 103],
+    180: [92, 98, 99, 100, 101, 102, 103, 104],
+    190: [92, 99, 100, 101, 102, 103, 104],
+    200: [92, 99, 100, 101, 102, 103, 104, 105],
+    210: [92, 99, 100, 101, 102, 103, 104, 105],
+    220: [92, 100, 101, 102, 103, 104, 105, 106],
+    230: [92, 100, 101, 102, 103, 104, 105, 106, 107],
+    240: [92, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    250: [92, 101, 102, 103, 104, 105, 106, 107, 108],
+    260: [92, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    270: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    280: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    290: [92, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    300: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    310: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    320: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    330: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    340: [92, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    350: [92, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    360: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    370: [92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    380: [92, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    390: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    400: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    410: [92, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    420: [92, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    430: [92, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    440: [92, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [92, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [92, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    470: [92, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [92, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [92, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    500: [187, 188]
   },
   70: {
-    0: [94, 95, 96, 97],
-    10: [94, 95, 96, 97],
-    20: [94, 95, 96, 97],
-    30: [94, 95, 96, 97, 98],
-    40: [94, 95, 96, 97, 98],
-    50: [95, 96, 97, 98],
-    60: [95, 96, 97, 98],
-    70: [95, 96, 97, 98, 99],
-    80: [95, 96, 97, 98, 99],
-    90: [95, 96, 97, 98, 99],
-    100: [95, 96, 97, 98, 99],
-    110: [95, 96, 97, 98, 99, 100],
-    120: [96, 97, 98, 99, 100],
-    130: [96, 97, 98, 99, 100],
-    140: [96, 97, 98, 99, 100, 101],
-    150: [96, 97, 98, 99, 100, 101],
-    160: [96, 97, 98, 99, 100, 101],
-    170: [96, 97, 98, 99, 100, 101, 102],
-    180: [97, 98, 99, 100, 101, 102],
-    190: [97, 98, 99, 100, 101, 102, 103],
-    200: [97, 98, 99, 100, 101, 102, 103],
-    210: [97, 98, 99, 100, 101, 102, 103],
-    220: [97, 98, 99, 100, 101, 102, 103, 104],
-    230: [98, 99, 100, 101, 102, 103, 104],
-    240: [98, 99, 100, 101, 102, 103, 104, 105],
-    250: [99, 100, 101, 102, 103, 104, 105, 106],
-    260: [99, 100, 101, 102, 103, 104, 105, 106, 107],
-    270: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
-    280: [100, 101, 102, 103, 104, 105, 106, 107, 108],
-    290: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
-    300: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
-    310: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
-    320: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
-    330: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
-    340: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
-    350: [
-      105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119,
-    ],
-    360: [
-      106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120,
-    ],
-    370: [
-      107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121,
-      122, 123, 124,
-    ],
-    380: [
-      109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123,
-      124, 125, 126,
-    ],
-    390: [
-      110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124,
-      125, 126, 127, 128, 129, 130,
-    ],
-    400: [
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128,
-      129, 130, 131, 132, 133,
-    ],
-    410: [
-      115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129,
-      130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140,
-    ],
-    420: [
-      120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134,
-      135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145,
-    ],
-    430: [
-      124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138,
-      139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152,
-    ],
-    440: [
-      128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142,
-      143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157,
-      158, 159, 160, 161, 162,
-    ],
-    450: [
-      136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150,
-      151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165,
-      166, 167, 168, 169, 170,
-    ],
-    460: [
-      147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161,
-      162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176,
-      177, 178, 179,
-    ],
-    470: [
-      159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173,
-      174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188,
-    ],
-    480: [
-      170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184,
-      185, 186, 187, 188,
-    ],
-    490: [180, 181, 182, 183, 184, 185, 186, 187, 188],
+    0: [92, 94, 95, 96, 97],
+    10: [92, 94, 95, 96, 97],
+    20: [92, 94, 95, 96, 97],
+    30: [92, 94, 95, 96, 97, 98],
+    40: [92, 94, 95, 96, 97, 98],
+    50: [92, 95, 96, 97, 98],
+    60: [92, 95, 96, 97, 98],
+    70: [92, 95, 96, 97, 98, 99],
+    80: [92, 95, 96, 97, 98, 99],
+    90: [92, 95, 96, 97, 98, 99],
+    100: [92, 95, 96, 97, 98, 99],
+    110: [92, 95, 96, 97, 98, 99, 100],
+    120: [92, 96, 97, 98, 99, 100],
+    130: [92, 96, 97, 98, 99, 100],
+    140: [92, 96, 97, 98, 99, 100, 101],
+    150: [92, 96, 97, 98, 99, 100, 101],
+    160: [92, 96, 97, 98, 99, 100, 101],
+    170: [92, 96, 97, 98, 99, 100, 101, 102],
+    180: [92, 97, 98, 99, 100, 101, 102],
+    190: [92, 97, 98, 99, 100, 101, 102, 103],
+    200: [91, 92, 97, 98, 99, 100, 101, 102, 103],
+    210: [92, 97, 98, 99, 100, 101, 102, 103],
+    220: [92, 97, 98, 99, 100, 101, 102, 103, 104],
+    230: [91, 92, 98, 99, 100, 101, 102, 103, 104],
+    240: [91, 92, 98, 99, 100, 101, 102, 103, 104, 105],
+    250: [92, 99, 100, 101, 102, 103, 104, 105, 106],
+    260: [91, 92, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    270: [91, 92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    280: [91, 92, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    290: [91, 92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    300: [91, 92, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    310: [91, 92, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    320: [91, 92, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    330: [91, 92, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    340: [91, 92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    350: [91, 92, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    360: [91, 92, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    370: [91, 92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    380: [91, 92, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    390: [91, 92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    400: [91, 92, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    410: [91, 92, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    420: [91, 92, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    430: [91, 92, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    440: [91, 92, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    450: [91, 92, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [91, 92, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [91, 92, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [91, 92, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [180, 181, 182, 183, 184, 185, 186, 187, 188]
   },
   80: {
-    0: [93, 94, 95, 96],
-    10: [93, 94, 95, 96],
-    20: [93, 94, 95, 96],
-    30: [93, 94, 95, 96],
-    40: [93, 94, 95, 96, 97],
-    50: [93, 94, 95, 96, 97],
-    60: [93, 94, 95, 96, 97],
-    70: [93, 94, 95, 96, 97],
-    80: [94, 95, 96, 97],
-    90: [94, 95, 96, 97],
-    100: [94, 95, 96, 97, 98],
-    110: [94, 95, 96, 97, 98],
-    120: [94, 95, 96, 97, 98],
-    130: [94, 95, 96, 97, 98, 99],
-    140: [94, 95, 96, 97, 98, 99],
-    150: [94, 95, 96, 97, 98, 99],
-    160: [94, 95, 96, 97, 98, 99],
-    170: [94, 95, 96, 97, 98, 99, 100],
-    180: [95, 96, 97, 98, 99, 100],
-    190: [95, 96, 97, 98, 99, 100, 101],
-    200: [95, 96, 97, 98, 99, 100, 101],
-    210: [95, 96, 97, 98, 99, 100, 101],
-    220: [95, 96, 97, 98, 99, 100, 101, 102],
-    230: [96, 97, 98, 99, 100, 101, 102],
-    240: [96, 97, 98, 99, 100, 101, 102, 103],
-    250: [96, 97, 98, 99, 100, 101, 102, 103, 104],
-    260: [96, 97, 98, 99, 100, 101, 102, 103, 104],
-    270: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
-    280: [97, 98, 99, 100, 101, 102, 103, 104, 105],
-    290: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
-    300: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
-    310: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
-    320: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
-    330: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
-    340: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
-    350: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
-    360: [
-      101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115,
-      116, 117,
-    ],
-    370: [
-      103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117,
-      118, 119,
-    ],
-    380: [
-      103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117,
-      118, 119, 120, 121, 122,
-    ],
-    390: [
-      105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119,
-      120, 121, 122, 123, 124, 125,
-    ],
-    400: [
-      107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121,
-      122, 123, 124, 125, 126, 127, 128, 129,
-    ],
-    410: [
-      109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123,
-      124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134,
-    ],
-    420: [
-      112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126,
-      127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140,
-    ],
-    430: [
-      115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129,
-      130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144,
-      145, 146, 147, 148,
-    ],
-    440: [
-      122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136,
-      137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151,
-      152, 153, 154, 155,
-    ],
-    450: [
-      134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148,
-      149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161,
-    ],
-    460: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    0: [91, 93, 94, 95, 96],
+    10: [91, 93, 94, 95, 96],
+    20: [91, 93, 94, 95, 96],
+    30: [91, 93, 94, 95, 96],
+    40: [91, 93, 94, 95, 96, 97],
+    50: [91, 93, 94, 95, 96, 97],
+    60: [91, 93, 94, 95, 96, 97],
+    70: [91, 93, 94, 95, 96, 97],
+    80: [91, 94, 95, 96, 97],
+    90: [91, 94, 95, 96, 97],
+    100: [91, 94, 95, 96, 97, 98],
+    110: [91, 94, 95, 96, 97, 98],
+    120: [91, 94, 95, 96, 97, 98],
+    130: [91, 94, 95, 96, 97, 98, 99],
+    140: [91, 94, 95, 96, 97, 98, 99],
+    150: [91, 94, 95, 96, 97, 98, 99],
+    160: [91, 94, 95, 96, 97, 98, 99],
+    170: [91, 94, 95, 96, 97, 98, 99, 100],
+    180: [91, 95, 96, 97, 98, 99, 100],
+    190: [91, 95, 96, 97, 98, 99, 100, 101],
+    200: [91, 95, 96, 97, 98, 99, 100, 101],
+    210: [91, 95, 96, 97, 98, 99, 100, 101],
+    220: [91, 95, 96, 97, 98, 99, 100, 101, 102],
+    230: [91, 96, 97, 98, 99, 100, 101, 102],
+    240: [91, 96, 97, 98, 99, 100, 101, 102, 103],
+    250: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    260: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    270: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    280: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    290: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    300: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    310: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    320: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    330: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    340: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    350: [91, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    360: [91, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    370: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    380: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    390: [91, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    400: [91, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    410: [91, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    420: [91, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    430: [91, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    440: [91, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    450: [91, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    460: [91, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    470: [91],
+    480: [91],
+    490: [91]
   },
   90: {
-    0: [92, 93, 94, 95],
-    10: [92, 93, 94, 95],
-    20: [92, 93, 94, 95],
-    30: [92, 93, 94, 95],
-    40: [92, 93, 94, 95],
-    50: [92, 93, 94, 95, 96],
-    60: [92, 93, 94, 95, 96],
-    70: [92, 93, 94, 95, 96],
-    80: [92, 93, 94, 95, 96],
-    90: [92, 93, 94, 95, 96],
-    100: [92, 93, 94, 95, 96],
-    110: [92, 93, 94, 95, 96, 97],
-    120: [92, 93, 94, 95, 96, 97],
-    130: [93, 94, 95, 96, 97],
-    140: [92, 93, 94, 95, 96, 97],
-    150: [93, 94, 95, 96, 97],
-    160: [93, 94, 95, 96, 97, 98],
-    170: [93, 94, 95, 96, 97, 98],
-    180: [93, 94, 95, 96, 97, 98],
-    190: [93, 94, 95, 96, 97, 98, 99],
-    200: [93, 94, 95, 96, 97, 98, 99],
-    210: [93, 94, 95, 96, 97, 98, 99],
-    220: [93, 94, 95, 96, 97, 98, 99, 100],
-    230: [93, 94, 95, 96, 97, 98, 99, 100],
-    240: [93, 94, 95, 96, 97, 98, 99, 100, 101],
-    250: [94, 95, 96, 97, 98, 99, 100, 101],
-    260: [94, 95, 96, 97, 98, 99, 100, 101],
-    270: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
-    280: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
-    290: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
-    300: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
-    310: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
-    320: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
-    330: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
-    340: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
-    350: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
-    360: [
-      96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110,
-      111, 112, 113,
-    ],
-    370: [
-      98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112,
-      113,
-    ],
-    380: [
-      98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112,
-      113, 114, 115, 116, 117,
-    ],
-    390: [
-      100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114,
-      115, 116, 117, 118, 119,
-    ],
-    400: [
-      99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113,
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124,
-    ],
-    410: [
-      103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117,
-      118, 119, 120, 121, 122, 123, 124, 125, 126, 127,
-    ],
-    420: [
-      102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116,
-      117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131,
-      132, 133, 134, 135,
-    ],
-    430: [
-      107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121,
-      122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136,
-      137, 138, 139, 140,
-    ],
-    440: [
-      118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132,
-      133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143,
-    ],
+    0: [91, 92, 93, 94, 95],
+    10: [91, 92, 93, 94, 95],
+    20: [91, 92, 93, 94, 95],
+    30: [91, 92, 93, 94, 95],
+    40: [91, 92, 93, 94, 95],
+    50: [91, 92, 93, 94, 95, 96],
+    60: [91, 92, 93, 94, 95, 96],
+    70: [91, 92, 93, 94, 95, 96],
+    80: [91, 92, 93, 94, 95, 96],
+    90: [91, 92, 93, 94, 95, 96],
+    100: [91, 92, 93, 94, 95, 96],
+    110: [91, 92, 93, 94, 95, 96, 97],
+    120: [91, 92, 93, 94, 95, 96, 97],
+    130: [91, 93, 94, 95, 96, 97],
+    140: [91, 92, 93, 94, 95, 96, 97],
+    150: [91, 93, 94, 95, 96, 97],
+    160: [91, 93, 94, 95, 96, 97, 98],
+    170: [91, 93, 94, 95, 96, 97, 98],
+    180: [91, 93, 94, 95, 96, 97, 98],
+    190: [91, 93, 94, 95, 96, 97, 98, 99],
+    200: [91, 93, 94, 95, 96, 97, 98, 99],
+    210: [91, 93, 94, 95, 96, 97, 98, 99],
+    220: [91, 93, 94, 95, 96, 97, 98, 99, 100],
+    230: [91, 93, 94, 95, 96, 97, 98, 99, 100],
+    240: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    250: [91, 94, 95, 96, 97, 98, 99, 100, 101],
+    260: [91, 94, 95, 96, 97, 98, 99, 100, 101],
+    270: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    280: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    290: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    300: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    310: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    320: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    330: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    340: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    350: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    360: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    370: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    380: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    390: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    400: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    410: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    420: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    430: [91, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    440: [91, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
   },
   100: {
     0: [91, 92, 93, 94],
@@ -854,50 +553,30 @@ export default {
     230: [91, 92, 93, 94, 95, 96, 97, 98],
     240: [91, 92, 93, 94, 95, 96, 97, 98],
     250: [91, 92, 93, 94, 95, 96, 97, 98, 99],
-    260: [92, 93, 94, 95, 96, 97, 98, 99],
+    260: [91, 92, 93, 94, 95, 96, 97, 98, 99],
     270: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
     280: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
     290: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
     300: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
-    310: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    310: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
     320: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
-    330: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    330: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
     340: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
-    350: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
-    360: [
-      92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107,
-      108,
-    ],
-    370: [
-      92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107,
-      108, 109,
-    ],
-    380: [
-      92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107,
-      108, 109, 110, 111, 112,
-    ],
-    390: [
-      93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108,
-      109, 110, 111, 112, 113, 114,
-    ],
-    400: [
-      92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107,
-      108, 109, 110, 111, 112, 113, 114, 115, 116, 117,
-    ],
-    410: [
-      93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108,
-      109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121,
-    ],
-    420: [
-      93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108,
-      109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123,
-      124, 125, 126, 127,
-    ],
-    430: [
-      99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113,
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128,
-      129,
-    ],
+    350: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    360: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    370: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    380: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    390: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    400: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    410: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    420: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    430: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
   },
   110: {
     0: [90, 91, 92, 93],
@@ -936,38 +615,14 @@ export default {
     330: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
     340: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
     350: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
-    360: [
-      87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103,
-    ],
-    370: [
-      87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103,
-      104,
-    ],
-    380: [
-      86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102,
-      103, 104, 105, 106,
-    ],
-    390: [
-      86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102,
-      103, 104, 105, 106, 107, 108,
-    ],
-    400: [
-      85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102,
-      103, 104, 105, 106, 107, 108, 109, 110,
-    ],
-    410: [
-      84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101,
-      102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114,
-    ],
-    420: [
-      83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100,
-      101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115,
-      116, 117,
-    ],
-    430: [
-      90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106,
-      107, 108, 109, 110, 111, 112, 113, 114, 115,
-    ],
+    360: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    370: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    380: [86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    390: [86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    400: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    410: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    420: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    430: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115]
   },
   120: {
     0: [88, 89, 90, 91, 92],
@@ -1007,35 +662,13 @@ export default {
     340: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
     350: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
     360: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
-    370: [
-      81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98,
-      99,
-    ],
-    380: [
-      80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97,
-      98, 99, 100,
-    ],
-    390: [
-      79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96,
-      97, 98, 99, 100, 101,
-    ],
-    400: [
-      77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94,
-      95, 96, 97, 98, 99, 100, 101, 102, 103,
-    ],
-    410: [
-      75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92,
-      93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105,
-    ],
-    420: [
-      73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90,
-      91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106,
-      107,
-    ],
-    430: [
-      79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96,
-      97, 98, 99, 100, 101,
-    ],
+    370: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    380: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    390: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    400: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    410: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    420: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    430: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101]
   },
   130: {
     0: [87, 88, 89, 90],
@@ -1075,33 +708,13 @@ export default {
     340: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
     350: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
     360: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
-    370: [
-      76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93,
-    ],
-    380: [
-      74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91,
-      92, 93, 94,
-    ],
-    390: [
-      72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89,
-      90, 91, 92, 93, 94,
-    ],
-    400: [
-      70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87,
-      88, 89, 90, 91, 92, 93, 94, 95,
-    ],
-    410: [
-      66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83,
-      84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96,
-    ],
-    420: [
-      63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80,
-      81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97,
-    ],
-    430: [
-      65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82,
-      83, 84, 85, 86, 87, 88, 89, 90,
-    ],
+    370: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    380: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94],
+    390: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94],
+    400: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    410: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    420: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    430: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90]
   },
   140: {
     0: [86, 87, 88, 89],
@@ -1130,844 +743,660 @@ export default {
     230: [82, 83, 84, 85, 86, 87, 88, 89],
     240: [82, 83, 84, 85, 86, 87, 88, 89],
     250: [81, 82, 83, 84, 85, 86, 87, 88, 89],
-    260: [81, 82, 83, 84, 85, 86, 87, 88],
+    260: [81, 82, 83, 84, 85, 86, 87, 88, 89],
     270: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     280: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     290: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     300: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
-    310: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    310: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     320: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
-    330: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    330: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     340: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
-    350: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
-    360: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
-    370: [
-      71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88,
-    ],
-    380: [
-      68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85,
-      86, 87, 88,
-    ],
-    390: [
-      66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83,
-      84, 85, 86, 87,
-    ],
-    400: [
-      63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80,
-      81, 82, 83, 84, 85, 86, 87, 88,
-    ],
-    410: [
-      59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76,
-      77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87,
-    ],
-    420: [
-      53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70,
-      71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87,
-    ],
-    430: [
-      51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68,
-      69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81,
-    ],
+    350: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    360: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    370: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    380: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    390: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    400: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    410: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    430: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
   },
   150: {
-    0: [85, 86, 87, 88],
-    10: [85, 86, 87, 88],
-    20: [85, 86, 87, 88],
-    30: [85, 86, 87, 88],
-    40: [85, 86, 87, 88],
-    50: [84, 85, 86, 87, 88],
-    60: [84, 85, 86, 87, 88],
-    70: [84, 85, 86, 87, 88],
-    80: [84, 85, 86, 87, 88],
-    90: [84, 85, 86, 87, 88],
-    100: [84, 85, 86, 87, 88],
-    110: [83, 84, 85, 86, 87, 88],
-    120: [83, 84, 85, 86, 87, 88],
-    130: [83, 84, 85, 86, 87],
-    140: [83, 84, 85, 86, 87, 88],
-    150: [83, 84, 85, 86, 87],
-    160: [82, 83, 84, 85, 86, 87],
-    170: [82, 83, 84, 85, 86, 87],
-    180: [82, 83, 84, 85, 86, 87],
-    190: [81, 82, 83, 84, 85, 86, 87],
-    200: [81, 82, 83, 84, 85, 86, 87],
-    210: [81, 82, 83, 84, 85, 86, 87],
-    220: [80, 81, 82, 83, 84, 85, 86, 87],
-    230: [80, 81, 82, 83, 84, 85, 86, 87],
-    240: [79, 80, 81, 82, 83, 84, 85, 86, 87],
-    250: [79, 80, 81, 82, 83, 84, 85, 86],
-    260: [79, 80, 81, 82, 83, 84, 85, 86],
-    270: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
-    280: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
-    290: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
-    300: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
-    310: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
-    320: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
-    330: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
-    340: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
-    350: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
-    360: [
-      67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84,
-    ],
-    370: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
-    380: [
-      63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80,
-      81, 82,
-    ],
-    390: [
-      61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78,
-      79, 80,
-    ],
-    400: [
-      56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73,
-      74, 75, 76, 77, 78, 79, 80, 81,
-    ],
-    410: [
-      53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70,
-      71, 72, 73, 74, 75, 76, 77,
-    ],
-    420: [
-      45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62,
-      63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78,
-    ],
-    430: [
-      40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57,
-      58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73,
-    ],
-    440: [
-      37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54,
-      55, 56, 57, 58, 59, 60, 61, 62,
-    ],
+    0: [85, 86, 87, 88, 89],
+    10: [85, 86, 87, 88, 89],
+    20: [85, 86, 87, 88, 89],
+    30: [85, 86, 87, 88, 89],
+    40: [85, 86, 87, 88, 89],
+    50: [84, 85, 86, 87, 88, 89],
+    60: [84, 85, 86, 87, 88, 89],
+    70: [84, 85, 86, 87, 88, 89],
+    80: [84, 85, 86, 87, 88, 89],
+    90: [84, 85, 86, 87, 88, 89],
+    100: [84, 85, 86, 87, 88, 89],
+    110: [83, 84, 85, 86, 87, 88, 89],
+    120: [83, 84, 85, 86, 87, 88, 89],
+    130: [83, 84, 85, 86, 87, 89],
+    140: [83, 84, 85, 86, 87, 88, 89],
+    150: [83, 84, 85, 86, 87, 89],
+    160: [82, 83, 84, 85, 86, 87, 89],
+    170: [82, 83, 84, 85, 86, 87, 89],
+    180: [82, 83, 84, 85, 86, 87, 89],
+    190: [81, 82, 83, 84, 85, 86, 87, 89],
+    200: [81, 82, 83, 84, 85, 86, 87, 89],
+    210: [81, 82, 83, 84, 85, 86, 87, 89],
+    220: [80, 81, 82, 83, 84, 85, 86, 87, 89],
+    230: [80, 81, 82, 83, 84, 85, 86, 87, 89],
+    240: [79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    250: [79, 80, 81, 82, 83, 84, 85, 86, 89],
+    260: [79, 80, 81, 82, 83, 84, 85, 86, 89],
+    270: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    280: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    290: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    300: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    310: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    320: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    330: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    340: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    350: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    360: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    370: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    380: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    390: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    400: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    410: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    420: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    430: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 89],
+    440: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
   },
   160: {
-    0: [84, 85, 86, 87],
-    10: [84, 85, 86, 87],
-    20: [84, 85, 86, 87],
-    30: [84, 85, 86, 87],
-    40: [83, 84, 85, 86, 87],
-    50: [83, 84, 85, 86, 87],
-    60: [83, 84, 85, 86, 87],
-    70: [83, 84, 85, 86, 87],
-    80: [83, 84, 85, 86],
-    90: [83, 84, 85, 86],
-    100: [82, 83, 84, 85, 86],
-    110: [82, 83, 84, 85, 86],
-    120: [82, 83, 84, 85, 86],
-    130: [81, 82, 83, 84, 85, 86],
-    140: [81, 82, 83, 84, 85, 86],
-    150: [81, 82, 83, 84, 85, 86],
-    160: [81, 82, 83, 84, 85, 86],
-    170: [80, 81, 82, 83, 84, 85, 86],
-    180: [80, 81, 82, 83, 84, 85],
-    190: [79, 80, 81, 82, 83, 84, 85],
-    200: [79, 80, 81, 82, 83, 84, 85],
-    210: [79, 80, 81, 82, 83, 84, 85],
-    220: [78, 79, 80, 81, 82, 83, 84, 85],
-    230: [78, 79, 80, 81, 82, 83, 84],
-    240: [77, 78, 79, 80, 81, 82, 83, 84],
-    250: [76, 77, 78, 79, 80, 81, 82, 83, 84],
-    260: [76, 77, 78, 79, 80, 81, 82, 83, 84],
-    270: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
-    280: [75, 76, 77, 78, 79, 80, 81, 82, 83],
-    290: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
-    300: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
-    310: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
-    320: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
-    330: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
-    340: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
-    350: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
-    360: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
-    370: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
-    380: [
-      58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75,
-      76, 77,
-    ],
-    390: [
-      55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72,
-      73, 74, 75,
-    ],
-    400: [
-      51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68,
-      69, 70, 71, 72, 73,
-    ],
-    410: [
-      46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63,
-      64, 65, 66, 67, 68, 69, 70, 71,
-    ],
-    420: [
-      40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57,
-      58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68,
-    ],
-    430: [
-      32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49,
-      50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65,
-    ],
-    440: [
-      25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42,
-      43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58,
-    ],
-    450: [
-      19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
-      37, 38, 39, 40, 41, 42, 43, 44, 45, 46,
-    ],
-    460: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27],
+    0: [84, 85, 86, 87, 89],
+    10: [84, 85, 86, 87, 89],
+    20: [84, 85, 86, 87, 89],
+    30: [84, 85, 86, 87, 89],
+    40: [83, 84, 85, 86, 87, 89],
+    50: [83, 84, 85, 86, 87, 89],
+    60: [83, 84, 85, 86, 87, 89],
+    70: [83, 84, 85, 86, 87, 89],
+    80: [83, 84, 85, 86, 89],
+    90: [83, 84, 85, 86, 89],
+    100: [82, 83, 84, 85, 86, 89],
+    110: [82, 83, 84, 85, 86, 89],
+    120: [82, 83, 84, 85, 86, 89],
+    130: [81, 82, 83, 84, 85, 86, 89],
+    140: [81, 82, 83, 84, 85, 86, 89],
+    150: [81, 82, 83, 84, 85, 86, 89],
+    160: [81, 82, 83, 84, 85, 86, 89],
+    170: [80, 81, 82, 83, 84, 85, 86, 89],
+    180: [80, 81, 82, 83, 84, 85, 89],
+    190: [79, 80, 81, 82, 83, 84, 85, 89],
+    200: [79, 80, 81, 82, 83, 84, 85, 89],
+    210: [79, 80, 81, 82, 83, 84, 85, 89],
+    220: [78, 79, 80, 81, 82, 83, 84, 85, 89],
+    230: [78, 79, 80, 81, 82, 83, 84, 89],
+    240: [77, 78, 79, 80, 81, 82, 83, 84, 89],
+    250: [76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    260: [76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    270: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    280: [75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    290: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    300: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    310: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    320: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    330: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    340: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    350: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 89],
+    360: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 89],
+    370: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    380: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    390: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 89],
+    400: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 89],
+    410: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 89],
+    420: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 89],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 89],
+    440: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 89],
+    450: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 89],
+    460: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 89],
+    470: [89],
+    480: [89],
+    490: [89]
   },
   170: {
-    0: [83, 84, 85, 86],
-    10: [83, 84, 85, 86],
-    20: [83, 84, 85, 86],
-    30: [82, 83, 84, 85, 86],
-    40: [82, 83, 84, 85, 86],
-    50: [82, 83, 84, 85],
-    60: [82, 83, 84, 85],
-    70: [81, 82, 83, 84, 85],
-    80: [81, 82, 83, 84, 85],
-    90: [81, 82, 83, 84, 85],
-    100: [81, 82, 83, 84, 85],
-    110: [80, 81, 82, 83, 84, 85],
-    120: [80, 81, 82, 83, 84],
-    130: [80, 81, 82, 83, 84],
-    140: [79, 80, 81, 82, 83, 84],
-    150: [79, 80, 81, 82, 83, 84],
-    160: [79, 80, 81, 82, 83, 84],
-    170: [78, 79, 80, 81, 82, 83, 84],
-    180: [78, 79, 80, 81, 82, 83],
-    190: [77, 78, 79, 80, 81, 82, 83],
-    200: [77, 78, 79, 80, 81, 82, 83],
-    210: [77, 78, 79, 80, 81, 82, 83],
-    220: [76, 77, 78, 79, 80, 81, 82, 83],
-    230: [76, 77, 78, 79, 80, 81, 82],
-    240: [75, 76, 77, 78, 79, 80, 81, 82],
-    250: [74, 75, 76, 77, 78, 79, 80, 81],
-    260: [73, 74, 75, 76, 77, 78, 79, 80, 81],
-    270: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
-    280: [72, 73, 74, 75, 76, 77, 78, 79, 80],
-    290: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
-    300: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
-    310: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
-    320: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
-    330: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
-    340: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
-    350: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75],
-    360: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
-    370: [
-      56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73,
-    ],
-    380: [
-      54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71,
-    ],
-    390: [
-      50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67,
-      68, 69, 70,
-    ],
-    400: [
-      47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64,
-      65, 66,
-    ],
-    410: [
-      40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57,
-      58, 59, 60, 61, 62, 63, 64, 65,
-    ],
-    420: [
-      35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52,
-      53, 54, 55, 56, 57, 58, 59, 60,
-    ],
-    430: [
-      28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45,
-      46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56,
-    ],
-    440: [
-      18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35,
-      36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52,
-    ],
-    450: [
-      10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27,
-      28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44,
-    ],
-    460: [
-      1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21,
-      22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 352, 353, 354, 355, 356, 357, 358, 359,
-    ],
-    480: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 352, 353, 354, 355, 356, 357, 358, 359,
-    ],
-    490: [0, 352, 353, 354, 355, 356, 357, 358, 359],
+    0: [83, 84, 85, 86, 88],
+    10: [83, 84, 85, 86, 88],
+    20: [83, 84, 85, 86, 88],
+    30: [82, 83, 84, 85, 86, 88],
+    40: [82, 83, 84, 85, 86, 88],
+    50: [82, 83, 84, 85, 88],
+    60: [82, 83, 84, 85, 88],
+    70: [81, 82, 83, 84, 85, 88],
+    80: [81, 82, 83, 84, 85, 88],
+    90: [81, 82, 83, 84, 85, 88],
+    100: [81, 82, 83, 84, 85, 88],
+    110: [80, 81, 82, 83, 84, 85, 88],
+    120: [80, 81, 82, 83, 84, 88],
+    130: [80, 81, 82, 83, 84, 88],
+    140: [79, 80, 81, 82, 83, 84, 88],
+    150: [79, 80, 81, 82, 83, 84, 88],
+    160: [79, 80, 81, 82, 83, 84, 88],
+    170: [78, 79, 80, 81, 82, 83, 84, 88],
+    180: [78, 79, 80, 81, 82, 83, 88],
+    190: [77, 78, 79, 80, 81, 82, 83, 88],
+    200: [77, 78, 79, 80, 81, 82, 83, 88, 89],
+    210: [77, 78, 79, 80, 81, 82, 83, 88],
+    220: [76, 77, 78, 79, 80, 81, 82, 83, 88],
+    230: [76, 77, 78, 79, 80, 81, 82, 88, 89],
+    240: [75, 76, 77, 78, 79, 80, 81, 82, 88, 89],
+    250: [74, 75, 76, 77, 78, 79, 80, 81, 88],
+    260: [73, 74, 75, 76, 77, 78, 79, 80, 81, 88, 89],
+    270: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88, 89],
+    280: [72, 73, 74, 75, 76, 77, 78, 79, 80, 88, 89],
+    290: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88, 89],
+    300: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 88, 89],
+    310: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 88, 89],
+    320: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 88, 89],
+    330: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 88, 89],
+    340: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88, 89],
+    350: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 88, 89],
+    360: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 88, 89],
+    370: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88, 89],
+    380: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 88, 89],
+    390: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88, 89],
+    400: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 88, 89],
+    410: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 88, 89],
+    420: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 88, 89],
+    430: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 88, 89],
+    440: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 88, 89],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 88, 89],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 88, 89],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 88, 89, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 88, 89, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 352, 353, 354, 355, 356, 357, 358, 359]
   },
   180: {
-    0: [82, 83, 84, 85],
-    10: [82, 83, 84, 85],
-    20: [81, 82, 83, 84, 85],
-    30: [81, 82, 83, 84],
-    40: [81, 82, 83, 84],
-    50: [81, 82, 83, 84],
-    60: [80, 81, 82, 83, 84],
-    70: [80, 81, 82, 83, 84],
-    80: [80, 81, 82, 83, 84],
-    90: [80, 81, 82, 83, 84],
-    100: [79, 80, 81, 82, 83],
-    110: [79, 80, 81, 82, 83],
-    120: [79, 80, 81, 82, 83],
-    130: [78, 79, 80, 81, 82, 83],
-    140: [78, 79, 80, 81, 82, 83],
-    150: [78, 79, 80, 81, 82],
-    160: [77, 78, 79, 80, 81, 82],
-    170: [77, 78, 79, 80, 81, 82],
-    180: [76, 77, 78, 79, 80, 81, 82],
-    190: [76, 77, 78, 79, 80, 81],
-    200: [75, 76, 77, 78, 79, 80, 81],
-    210: [75, 76, 77, 78, 79, 80, 81],
-    220: [74, 75, 76, 77, 78, 79, 80],
-    230: [73, 74, 75, 76, 77, 78, 79, 80],
-    240: [72, 73, 74, 75, 76, 77, 78, 79, 80],
-    250: [72, 73, 74, 75, 76, 77, 78, 79],
-    260: [71, 72, 73, 74, 75, 76, 77, 78, 79],
-    270: [70, 71, 72, 73, 74, 75, 76, 77, 78],
-    280: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
-    290: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
-    300: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
-    310: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
-    320: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
-    330: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
-    340: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
-    350: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
-    360: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
-    370: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
-    380: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
-    390: [
-      46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63,
-      64,
-    ],
-    400: [
-      42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59,
-      60, 61, 62,
-    ],
-    410: [
-      37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54,
-      55, 56, 57,
-    ],
-    420: [
-      30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47,
-      48, 49, 50, 51, 52, 53, 54, 55,
-    ],
-    430: [
-      25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42,
-      43, 44, 45, 46, 47, 48, 49, 50,
-    ],
-    440: [
-      17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34,
-      35, 36, 37, 38, 39, 40, 41, 42, 43,
-    ],
-    450: [
-      7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25,
-      26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38,
-    ],
-    460: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 358, 359,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 352, 353, 354, 355, 356, 357, 358, 359,
-    ],
-    480: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 352, 353, 354, 355, 356, 357,
-      358, 359,
-    ],
-    490: [0, 1, 2, 352, 353, 354, 355, 356, 357, 358, 359],
-    500: [352, 353],
+    0: [82, 83, 84, 85, 88],
+    10: [82, 83, 84, 85, 88],
+    20: [81, 82, 83, 84, 85, 88],
+    30: [81, 82, 83, 84, 88],
+    40: [81, 82, 83, 84, 88],
+    50: [81, 82, 83, 84, 88],
+    60: [80, 81, 82, 83, 84, 88],
+    70: [80, 81, 82, 83, 84, 88],
+    80: [80, 81, 82, 83, 84, 88],
+    90: [80, 81, 82, 83, 84, 88],
+    100: [79, 80, 81, 82, 83, 88],
+    110: [79, 80, 81, 82, 83, 88],
+    120: [79, 80, 81, 82, 83, 88],
+    130: [78, 79, 80, 81, 82, 83, 88],
+    140: [78, 79, 80, 81, 82, 83, 88],
+    150: [78, 79, 80, 81, 82, 88],
+    160: [77, 78, 79, 80, 81, 82, 88],
+    170: [77, 78, 79, 80, 81, 82, 88],
+    180: [76, 77, 78, 79, 80, 81, 82, 88],
+    190: [76, 77, 78, 79, 80, 81, 88],
+    200: [75, 76, 77, 78, 79, 80, 81, 88],
+    210: [75, 76, 77, 78, 79, 80, 81, 88],
+    220: [74, 75, 76, 77, 78, 79, 80, 88],
+    230: [73, 74, 75, 76, 77, 78, 79, 80, 88],
+    240: [72, 73, 74, 75, 76, 77, 78, 79, 80, 88],
+    250: [72, 73, 74, 75, 76, 77, 78, 79, 88],
+    260: [71, 72, 73, 74, 75, 76, 77, 78, 79, 88],
+    270: [70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    280: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    290: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 88],
+    300: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    310: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    320: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    330: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    340: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 88],
+    350: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 88],
+    360: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    370: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88],
+    380: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 88],
+    390: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    400: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    410: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 88],
+    420: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 88],
+    430: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 88],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 88],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 88],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 88, 358, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 1, 2, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [352, 353]
   },
   190: {
-    0: [81, 82, 83, 84],
-    10: [81, 82, 83, 84],
-    20: [80, 81, 82, 83],
-    30: [80, 81, 82, 83],
-    40: [80, 81, 82, 83],
-    50: [80, 81, 82, 83],
-    60: [79, 80, 81, 82, 83],
-    70: [79, 80, 81, 82, 83],
-    80: [79, 80, 81, 82],
-    90: [78, 79, 80, 81, 82],
-    100: [78, 79, 80, 81, 82],
-    110: [78, 79, 80, 81, 82],
-    120: [77, 78, 79, 80, 81, 82],
-    130: [77, 78, 79, 80, 81],
-    140: [76, 77, 78, 79, 80, 81],
-    150: [76, 77, 78, 79, 80, 81],
-    160: [75, 76, 77, 78, 79, 80, 81],
-    170: [75, 76, 77, 78, 79, 80],
-    180: [74, 75, 76, 77, 78, 79, 80],
-    190: [74, 75, 76, 77, 78, 79, 80],
-    200: [73, 74, 75, 76, 77, 78, 79],
-    210: [73, 74, 75, 76, 77, 78, 79],
-    220: [72, 73, 74, 75, 76, 77, 78],
-    230: [71, 72, 73, 74, 75, 76, 77, 78],
-    240: [70, 71, 72, 73, 74, 75, 76, 77],
-    250: [70, 71, 72, 73, 74, 75, 76, 77],
-    260: [68, 69, 70, 71, 72, 73, 74, 75, 76],
-    270: [68, 69, 70, 71, 72, 73, 74, 75],
-    280: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75],
-    290: [66, 67, 68, 69, 70, 71, 72, 73, 74],
-    300: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
-    310: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
-    320: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
-    330: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
-    340: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
-    350: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
-    360: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
-    370: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
-    380: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
-    390: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
-    400: [
-      38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55,
-      56, 57,
-    ],
-    410: [
-      33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50,
-      51, 52, 53,
-    ],
-    420: [
-      29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46,
-      47, 48,
-    ],
-    430: [
-      21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38,
-      39, 40, 41, 42, 43, 44, 45,
-    ],
-    440: [
-      14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31,
-      32, 33, 34, 35, 36, 37, 38, 39,
-    ],
-    450: [
-      7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25,
-      26, 27, 28, 29, 30, 31, 32,
-    ],
-    460: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 24,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 352, 353,
-      354, 355, 356, 357, 358, 359,
-    ],
-    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 352, 353, 354, 355, 356, 357, 358, 359],
-    490: [0, 352, 353, 354, 355, 356, 357, 358, 359],
+    0: [81, 82, 83, 84, 88],
+    10: [81, 82, 83, 84, 88],
+    20: [80, 81, 82, 83, 88],
+    30: [80, 81, 82, 83, 88],
+    40: [80, 81, 82, 83, 88],
+    50: [80, 81, 82, 83, 88],
+    60: [79, 80, 81, 82, 83, 88],
+    70: [79, 80, 81, 82, 83, 88],
+    80: [79, 80, 81, 82, 88],
+    90: [78, 79, 80, 81, 82, 88],
+    100: [78, 79, 80, 81, 82, 88],
+    110: [78, 79, 80, 81, 82, 88],
+    120: [77, 78, 79, 80, 81, 82, 88],
+    130: [77, 78, 79, 80, 81, 88],
+    140: [76, 77, 78, 79, 80, 81, 88],
+    150: [76, 77, 78, 79, 80, 81, 88],
+    160: [75, 76, 77, 78, 79, 80, 81, 88],
+    170: [75, 76, 77, 78, 79, 80, 88],
+    180: [74, 75, 76, 77, 78, 79, 80, 88],
+    190: [74, 75, 76, 77, 78, 79, 80, 88],
+    200: [73, 74, 75, 76, 77, 78, 79, 88],
+    210: [73, 74, 75, 76, 77, 78, 79, 88],
+    220: [72, 73, 74, 75, 76, 77, 78, 88],
+    230: [71, 72, 73, 74, 75, 76, 77, 78, 88],
+    240: [70, 71, 72, 73, 74, 75, 76, 77, 88],
+    250: [70, 71, 72, 73, 74, 75, 76, 77, 88],
+    260: [68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    270: [68, 69, 70, 71, 72, 73, 74, 75, 88],
+    280: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 88],
+    290: [66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    300: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88],
+    310: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 88],
+    320: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 88],
+    330: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    340: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 88],
+    350: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 88],
+    360: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 88],
+    370: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 88],
+    380: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    390: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 88],
+    400: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 88],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 88],
+    420: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 88],
+    430: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 88],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 88],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 88],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 88, 352, 353, 354, 355, 356, 357, 358, 359]
   },
   200: {
-    0: [80, 81, 82, 83],
-    10: [79, 80, 81, 82],
-    20: [79, 80, 81, 82],
-    30: [79, 80, 81, 82],
-    40: [79, 80, 81, 82],
-    50: [78, 79, 80, 81, 82],
-    60: [78, 79, 80, 81, 82],
-    70: [78, 79, 80, 81],
-    80: [77, 78, 79, 80, 81],
-    90: [77, 78, 79, 80, 81],
-    100: [77, 78, 79, 80, 81],
-    110: [76, 77, 78, 79, 80],
-    120: [76, 77, 78, 79, 80],
-    130: [75, 76, 77, 78, 79, 80],
-    140: [75, 76, 77, 78, 79],
-    150: [74, 75, 76, 77, 78, 79],
-    160: [74, 75, 76, 77, 78, 79],
-    170: [73, 74, 75, 76, 77, 78],
-    180: [73, 74, 75, 76, 77, 78],
-    190: [72, 73, 74, 75, 76, 77, 78],
-    200: [71, 72, 73, 74, 75, 76, 77],
-    210: [71, 72, 73, 74, 75, 76, 77],
-    220: [70, 71, 72, 73, 74, 75, 76],
-    230: [69, 70, 71, 72, 73, 74, 75, 76],
-    240: [68, 69, 70, 71, 72, 73, 74, 75],
-    250: [67, 68, 69, 70, 71, 72, 73, 74, 75],
-    260: [66, 67, 68, 69, 70, 71, 72, 73, 74],
-    270: [65, 66, 67, 68, 69, 70, 71, 72, 73],
-    280: [64, 65, 66, 67, 68, 69, 70, 71, 72],
-    290: [63, 64, 65, 66, 67, 68, 69, 70, 71],
-    300: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
-    310: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
-    320: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
-    330: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
-    340: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
-    350: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
-    360: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
-    370: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
-    380: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
-    390: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
-    400: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
-    410: [
-      30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47,
-      48, 49,
-    ],
-    420: [
-      25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42,
-      43, 44, 45,
-    ],
-    430: [
-      20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37,
-      38, 39,
-    ],
-    440: [
-      13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30,
-      31, 32, 33, 34,
-    ],
-    450: [
-      6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24,
-      25, 26, 27, 28, 29,
-    ],
-    460: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 359,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 354, 355, 356,
-      357, 358, 359,
-    ],
-    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 354, 355, 356, 357, 358, 359],
-    490: [0, 1, 2, 354, 355, 356, 357, 358, 359],
-    500: [354, 355],
+    0: [80, 81, 82, 83, 87, 88],
+    10: [79, 80, 81, 82, 87, 88],
+    20: [79, 80, 81, 82, 87, 88],
+    30: [79, 80, 81, 82, 87, 88],
+    40: [79, 80, 81, 82, 87, 88],
+    50: [78, 79, 80, 81, 82, 87, 88],
+    60: [78, 79, 80, 81, 82, 87, 88],
+    70: [78, 79, 80, 81, 87, 88],
+    80: [77, 78, 79, 80, 81, 87, 88],
+    90: [77, 78, 79, 80, 81, 87, 88],
+    100: [77, 78, 79, 80, 81, 87, 88],
+    110: [76, 77, 78, 79, 80, 87, 88],
+    120: [76, 77, 78, 79, 80, 87, 88],
+    130: [75, 76, 77, 78, 79, 80, 87, 88],
+    140: [75, 76, 77, 78, 79, 87, 88],
+    150: [74, 75, 76, 77, 78, 79, 87, 88],
+    160: [74, 75, 76, 77, 78, 79, 87, 88],
+    170: [73, 74, 75, 76, 77, 78, 87, 88],
+    180: [73, 74, 75, 76, 77, 78, 87, 88],
+    190: [72, 73, 74, 75, 76, 77, 78, 87, 88],
+    200: [71, 72, 73, 74, 75, 76, 77, 87, 88],
+    210: [71, 72, 73, 74, 75, 76, 77, 87, 88],
+    220: [70, 71, 72, 73, 74, 75, 76, 87, 88],
+    230: [69, 70, 71, 72, 73, 74, 75, 76, 87, 88],
+    240: [68, 69, 70, 71, 72, 73, 74, 75, 87, 88],
+    250: [67, 68, 69, 70, 71, 72, 73, 74, 75, 87, 88],
+    260: [66, 67, 68, 69, 70, 71, 72, 73, 74, 87, 88],
+    270: [65, 66, 67, 68, 69, 70, 71, 72, 73, 87, 88],
+    280: [64, 65, 66, 67, 68, 69, 70, 71, 72, 87, 88],
+    290: [63, 64, 65, 66, 67, 68, 69, 70, 71, 87, 88],
+    300: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 87, 88],
+    310: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 87, 88],
+    320: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 87, 88],
+    330: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 87, 88],
+    340: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 87, 88],
+    350: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    360: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    370: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 88],
+    380: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 88],
+    390: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 88],
+    400: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 88],
+    410: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 88],
+    420: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 88],
+    430: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 88],
+    440: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 88],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 88],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 88, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 88, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 88, 354, 355, 356, 357, 358, 359],
+    490: [0, 1, 2, 88, 354, 355, 356, 357, 358, 359],
+    500: [354, 355]
   },
   210: {
-    0: [79, 80, 81, 82],
-    10: [78, 79, 80, 81],
-    20: [78, 79, 80, 81],
-    30: [78, 79, 80, 81],
-    40: [78, 79, 80, 81],
-    50: [77, 78, 79, 80, 81],
-    60: [77, 78, 79, 80],
-    70: [76, 77, 78, 79, 80],
-    80: [76, 77, 78, 79, 80],
-    90: [76, 77, 78, 79, 80],
-    100: [75, 76, 77, 78, 79],
-    110: [75, 76, 77, 78, 79],
-    120: [74, 75, 76, 77, 78, 79],
-    130: [74, 75, 76, 77, 78],
-    140: [73, 74, 75, 76, 77, 78],
-    150: [73, 74, 75, 76, 77, 78],
-    160: [72, 73, 74, 75, 76, 77],
-    170: [72, 73, 74, 75, 76, 77],
-    180: [71, 72, 73, 74, 75, 76],
-    190: [71, 72, 73, 74, 75, 76],
-    200: [70, 71, 72, 73, 74, 75],
-    210: [69, 70, 71, 72, 73, 74, 75],
-    220: [68, 69, 70, 71, 72, 73, 74],
-    230: [67, 68, 69, 70, 71, 72, 73, 74],
-    240: [66, 67, 68, 69, 70, 71, 72, 73],
-    250: [65, 66, 67, 68, 69, 70, 71, 72],
-    260: [64, 65, 66, 67, 68, 69, 70, 71],
-    270: [63, 64, 65, 66, 67, 68, 69, 70, 71],
-    280: [62, 63, 64, 65, 66, 67, 68, 69, 70],
-    290: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
-    300: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
-    310: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
-    320: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
-    330: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
-    340: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
-    350: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
-    360: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
-    370: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
-    380: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
-    390: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
-    400: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    410: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
-    420: [
-      23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40,
-      41,
-    ],
-    430: [
-      17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34,
-      35, 36, 37,
-    ],
-    440: [
-      12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29,
-      30, 31, 32,
-    ],
-    450: [
-      6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24,
-      25, 26,
-    ],
-    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 354, 355, 356, 357, 358,
-      359,
-    ],
-    480: [0, 1, 2, 3, 4, 5, 6, 354, 355, 356, 357, 358, 359],
-    490: [0, 354, 355, 356, 357, 358, 359],
+    0: [79, 80, 81, 82, 87],
+    10: [78, 79, 80, 81, 87],
+    20: [78, 79, 80, 81, 87],
+    30: [78, 79, 80, 81, 87],
+    40: [78, 79, 80, 81, 87],
+    50: [77, 78, 79, 80, 81, 87],
+    60: [77, 78, 79, 80, 87],
+    70: [76, 77, 78, 79, 80, 87],
+    80: [76, 77, 78, 79, 80, 87],
+    90: [76, 77, 78, 79, 80, 87],
+    100: [75, 76, 77, 78, 79, 87],
+    110: [75, 76, 77, 78, 79, 87],
+    120: [74, 75, 76, 77, 78, 79, 87],
+    130: [74, 75, 76, 77, 78, 87],
+    140: [73, 74, 75, 76, 77, 78, 87],
+    150: [73, 74, 75, 76, 77, 78, 87],
+    160: [72, 73, 74, 75, 76, 77, 87],
+    170: [72, 73, 74, 75, 76, 77, 87],
+    180: [71, 72, 73, 74, 75, 76, 87],
+    190: [71, 72, 73, 74, 75, 76, 87],
+    200: [70, 71, 72, 73, 74, 75, 87],
+    210: [69, 70, 71, 72, 73, 74, 75, 87],
+    220: [68, 69, 70, 71, 72, 73, 74, 87],
+    230: [67, 68, 69, 70, 71, 72, 73, 74, 87],
+    240: [66, 67, 68, 69, 70, 71, 72, 73, 87],
+    250: [65, 66, 67, 68, 69, 70, 71, 72, 87],
+    260: [64, 65, 66, 67, 68, 69, 70, 71, 87],
+    270: [63, 64, 65, 66, 67, 68, 69, 70, 71, 87],
+    280: [62, 63, 64, 65, 66, 67, 68, 69, 70, 87],
+    290: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 87],
+    300: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 87],
+    310: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 87],
+    320: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 87],
+    330: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 87],
+    340: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87],
+    350: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 87],
+    360: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 87],
+    370: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 87],
+    380: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 87],
+    390: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 87],
+    400: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 87],
+    410: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 87],
+    420: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 87],
+    430: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 87],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 87],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 87],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 87, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 87, 354, 355, 356, 357, 358, 359],
+    490: [0, 87, 354, 355, 356, 357, 358, 359]
   },
   220: {
-    0: [78, 79, 80],
-    10: [77, 78, 79, 80],
-    20: [77, 78, 79, 80],
-    30: [77, 78, 79, 80],
-    40: [76, 77, 78, 79, 80],
-    50: [76, 77, 78, 79],
-    60: [76, 77, 78, 79],
-    70: [75, 76, 77, 78, 79],
-    80: [75, 76, 77, 78],
-    90: [74, 75, 76, 77, 78],
-    100: [74, 75, 76, 77, 78],
-    110: [73, 74, 75, 76, 77, 78],
-    120: [73, 74, 75, 76, 77],
-    130: [73, 74, 75, 76, 77],
-    140: [72, 73, 74, 75, 76],
-    150: [71, 72, 73, 74, 75, 76],
-    160: [71, 72, 73, 74, 75],
-    170: [70, 71, 72, 73, 74, 75],
-    180: [69, 70, 71, 72, 73, 74, 75],
-    190: [69, 70, 71, 72, 73, 74],
-    200: [68, 69, 70, 71, 72, 73, 74],
-    210: [67, 68, 69, 70, 71, 72, 73],
-    220: [66, 67, 68, 69, 70, 71, 72],
-    230: [65, 66, 67, 68, 69, 70, 71],
-    240: [64, 65, 66, 67, 68, 69, 70, 71],
-    250: [63, 64, 65, 66, 67, 68, 69, 70],
-    260: [62, 63, 64, 65, 66, 67, 68, 69],
-    270: [61, 62, 63, 64, 65, 66, 67, 68],
-    280: [60, 61, 62, 63, 64, 65, 66, 67],
-    290: [58, 59, 60, 61, 62, 63, 64, 65, 66],
-    300: [57, 58, 59, 60, 61, 62, 63, 64, 65],
-    310: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
-    320: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
-    330: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
-    340: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
-    350: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
-    360: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
-    370: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
-    380: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
-    390: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    400: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
-    410: [
-      25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42,
-    ],
-    420: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
-    430: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
-    440: [
-      11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28,
-    ],
-    450: [
-      5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24,
-    ],
-    460: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 359,
-    ],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 356, 357, 358, 359],
-    480: [0, 1, 2, 3, 4, 5, 6, 7, 356, 357, 358, 359],
-    490: [0, 1, 2, 356, 357, 358, 359],
-    500: [356],
+    0: [78, 79, 80, 87],
+    10: [77, 78, 79, 80, 87],
+    20: [77, 78, 79, 80, 87],
+    30: [77, 78, 79, 80, 87],
+    40: [76, 77, 78, 79, 80, 87],
+    50: [76, 77, 78, 79, 87],
+    60: [76, 77, 78, 79, 87],
+    70: [75, 76, 77, 78, 79, 87],
+    80: [75, 76, 77, 78, 87],
+    90: [74, 75, 76, 77, 78, 87],
+    100: [74, 75, 76, 77, 78, 87],
+    110: [73, 74, 75, 76, 77, 78, 87],
+    120: [73, 74, 75, 76, 77, 87],
+    130: [73, 74, 75, 76, 77, 87],
+    140: [72, 73, 74, 75, 76, 87],
+    150: [71, 72, 73, 74, 75, 76, 87],
+    160: [71, 72, 73, 74, 75, 87],
+    170: [70, 71, 72, 73, 74, 75, 87],
+    180: [69, 70, 71, 72, 73, 74, 75, 87],
+    190: [69, 70, 71, 72, 73, 74, 87],
+    200: [68, 69, 70, 71, 72, 73, 74, 87],
+    210: [67, 68, 69, 70, 71, 72, 73, 87],
+    220: [66, 67, 68, 69, 70, 71, 72, 87],
+    230: [65, 66, 67, 68, 69, 70, 71, 87],
+    240: [64, 65, 66, 67, 68, 69, 70, 71, 87],
+    250: [63, 64, 65, 66, 67, 68, 69, 70, 87],
+    260: [62, 63, 64, 65, 66, 67, 68, 69, 87],
+    270: [61, 62, 63, 64, 65, 66, 67, 68, 87],
+    280: [60, 61, 62, 63, 64, 65, 66, 67, 87],
+    290: [58, 59, 60, 61, 62, 63, 64, 65, 66, 87],
+    300: [57, 58, 59, 60, 61, 62, 63, 64, 65, 87],
+    310: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 87],
+    320: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87],
+    330: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 87],
+    340: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
+    350: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 87],
+    360: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 87],
+    370: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 87],
+    380: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 87],
+    390: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 87],
+    400: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 87],
+    410: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 87],
+    420: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 87],
+    430: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 87],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 87],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 87],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 87, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 87, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 87, 356, 357, 358, 359],
+    490: [0, 1, 2, 87, 356, 357, 358, 359],
+    500: [356]
   },
   230: {
-    0: [76, 77, 78, 79],
-    10: [76, 77, 78, 79],
-    20: [76, 77, 78, 79],
-    30: [76, 77, 78, 79],
-    40: [75, 76, 77, 78],
-    50: [75, 76, 77, 78],
-    60: [74, 75, 76, 77, 78],
-    70: [74, 75, 76, 77],
-    80: [73, 74, 75, 76, 77],
-    90: [73, 74, 75, 76, 77],
-    100: [73, 74, 75, 76],
-    110: [72, 73, 74, 75, 76],
-    120: [72, 73, 74, 75, 76],
-    130: [71, 72, 73, 74, 75],
-    140: [70, 71, 72, 73, 74, 75],
-    150: [70, 71, 72, 73, 74],
-    160: [69, 70, 71, 72, 73, 74],
-    170: [68, 69, 70, 71, 72, 73],
-    180: [68, 69, 70, 71, 72, 73],
-    190: [67, 68, 69, 70, 71, 72],
-    200: [66, 67, 68, 69, 70, 71, 72],
-    210: [65, 66, 67, 68, 69, 70, 71],
-    220: [64, 65, 66, 67, 68, 69, 70],
-    230: [64, 65, 66, 67, 68, 69, 70],
-    240: [62, 63, 64, 65, 66, 67, 68, 69],
-    250: [62, 63, 64, 65, 66, 67, 68],
-    260: [60, 61, 62, 63, 64, 65, 66, 67],
-    270: [59, 60, 61, 62, 63, 64, 65, 66],
-    280: [57, 58, 59, 60, 61, 62, 63, 64, 65],
-    290: [56, 57, 58, 59, 60, 61, 62, 63, 64],
-    300: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
-    310: [53, 54, 55, 56, 57, 58, 59, 60, 61],
-    320: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
-    330: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
-    340: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
-    350: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
-    360: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
-    370: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
-    380: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
-    390: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
-    400: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
-    410: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38],
-    420: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35],
-    430: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31],
-    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26],
-    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21],
-    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 356, 357, 358, 359],
-    480: [0, 1, 2, 3, 4, 5, 6, 356, 357, 358, 359],
-    490: [0, 1, 356, 357, 358, 359],
+    0: [76, 77, 78, 79, 86, 87],
+    10: [76, 77, 78, 79, 86, 87],
+    20: [76, 77, 78, 79, 86, 87],
+    30: [76, 77, 78, 79, 86, 87],
+    40: [75, 76, 77, 78, 86, 87],
+    50: [75, 76, 77, 78, 86, 87],
+    60: [74, 75, 76, 77, 78, 86, 87],
+    70: [74, 75, 76, 77, 86, 87],
+    80: [73, 74, 75, 76, 77, 86, 87],
+    90: [73, 74, 75, 76, 77, 86, 87],
+    100: [73, 74, 75, 76, 86, 87],
+    110: [72, 73, 74, 75, 76, 86, 87],
+    120: [72, 73, 74, 75, 76, 86, 87],
+    130: [71, 72, 73, 74, 75, 86, 87],
+    140: [70, 71, 72, 73, 74, 75, 86, 87],
+    150: [70, 71, 72, 73, 74, 86, 87],
+    160: [69, 70, 71, 72, 73, 74, 86, 87],
+    170: [68, 69, 70, 71, 72, 73, 86, 87],
+    180: [68, 69, 70, 71, 72, 73, 86, 87],
+    190: [67, 68, 69, 70, 71, 72, 87],
+    200: [66, 67, 68, 69, 70, 71, 72, 87],
+    210: [65, 66, 67, 68, 69, 70, 71, 87],
+    220: [64, 65, 66, 67, 68, 69, 70, 87],
+    230: [64, 65, 66, 67, 68, 69, 70, 87],
+    240: [62, 63, 64, 65, 66, 67, 68, 69, 87],
+    250: [62, 63, 64, 65, 66, 67, 68, 87],
+    260: [60, 61, 62, 63, 64, 65, 66, 67, 87],
+    270: [59, 60, 61, 62, 63, 64, 65, 66, 87],
+    280: [57, 58, 59, 60, 61, 62, 63, 64, 65, 87],
+    290: [56, 57, 58, 59, 60, 61, 62, 63, 64, 87],
+    300: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 87],
+    310: [53, 54, 55, 56, 57, 58, 59, 60, 61, 87],
+    320: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 87],
+    330: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 87],
+    340: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 87],
+    350: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 87],
+    360: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 87],
+    370: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 87],
+    380: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 87],
+    390: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 87],
+    400: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 87],
+    410: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 87],
+    420: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 87],
+    430: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 87],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 87],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 87],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 87, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 87, 356, 357, 358, 359],
+    490: [0, 1, 87, 356, 357, 358, 359]
   },
   240: {
-    0: [75, 76, 77, 78],
-    10: [75, 76, 77, 78],
-    20: [75, 76, 77, 78],
-    30: [74, 75, 76, 77, 78],
-    40: [74, 75, 76, 77],
-    50: [74, 75, 76, 77],
-    60: [73, 74, 75, 76, 77],
-    70: [73, 74, 75, 76],
-    80: [72, 73, 74, 75, 76],
-    90: [72, 73, 74, 75],
-    100: [71, 72, 73, 74, 75],
-    110: [71, 72, 73, 74, 75],
-    120: [70, 71, 72, 73, 74],
-    130: [70, 71, 72, 73, 74],
-    140: [69, 70, 71, 72, 73],
-    150: [68, 69, 70, 71, 72, 73],
-    160: [68, 69, 70, 71, 72],
-    170: [67, 68, 69, 70, 71, 72],
-    180: [66, 67, 68, 69, 70, 71],
-    190: [65, 66, 67, 68, 69, 70, 71],
-    200: [65, 66, 67, 68, 69, 70],
-    210: [64, 65, 66, 67, 68, 69],
-    220: [63, 64, 65, 66, 67, 68],
-    230: [62, 63, 64, 65, 66, 67, 68],
-    240: [61, 62, 63, 64, 65, 66, 67],
-    250: [59, 60, 61, 62, 63, 64, 65, 66],
-    260: [58, 59, 60, 61, 62, 63, 64, 65],
-    270: [57, 58, 59, 60, 61, 62, 63, 64],
-    280: [55, 56, 57, 58, 59, 60, 61, 62, 63],
-    290: [54, 55, 56, 57, 58, 59, 60, 61, 62],
-    300: [52, 53, 54, 55, 56, 57, 58, 59, 60],
-    310: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
-    320: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
-    330: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
-    340: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
-    350: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
-    360: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
-    370: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    380: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
-    390: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
-    400: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39],
-    410: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36],
-    420: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
-    430: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
-    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24],
-    450: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20],
-    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 357, 358, 359],
-    480: [0, 1, 2, 3, 4, 5, 6, 357, 358, 359],
-    490: [0, 1, 357, 358, 359],
-    500: [357],
+    0: [75, 76, 77, 78, 86],
+    10: [75, 76, 77, 78, 86],
+    20: [75, 76, 77, 78, 86],
+    30: [74, 75, 76, 77, 78, 86],
+    40: [74, 75, 76, 77, 86],
+    50: [74, 75, 76, 77, 86],
+    60: [73, 74, 75, 76, 77, 86],
+    70: [73, 74, 75, 76, 86],
+    80: [72, 73, 74, 75, 76, 86],
+    90: [72, 73, 74, 75, 86],
+    100: [71, 72, 73, 74, 75, 86],
+    110: [71, 72, 73, 74, 75, 86],
+    120: [70, 71, 72, 73, 74, 86],
+    130: [70, 71, 72, 73, 74, 86],
+    140: [69, 70, 71, 72, 73, 86],
+    150: [68, 69, 70, 71, 72, 73, 86],
+    160: [68, 69, 70, 71, 72, 86],
+    170: [67, 68, 69, 70, 71, 72, 86],
+    180: [66, 67, 68, 69, 70, 71, 86],
+    190: [65, 66, 67, 68, 69, 70, 71, 86],
+    200: [65, 66, 67, 68, 69, 70, 86],
+    210: [64, 65, 66, 67, 68, 69, 86],
+    220: [63, 64, 65, 66, 67, 68, 86],
+    230: [62, 63, 64, 65, 66, 67, 68, 86],
+    240: [61, 62, 63, 64, 65, 66, 67, 86],
+    250: [59, 60, 61, 62, 63, 64, 65, 66, 86],
+    260: [58, 59, 60, 61, 62, 63, 64, 65, 86],
+    270: [57, 58, 59, 60, 61, 62, 63, 64, 86],
+    280: [55, 56, 57, 58, 59, 60, 61, 62, 63, 86],
+    290: [54, 55, 56, 57, 58, 59, 60, 61, 62, 86],
+    300: [52, 53, 54, 55, 56, 57, 58, 59, 60, 86],
+    310: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 86],
+    320: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 86],
+    330: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 86],
+    340: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 86],
+    350: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 86],
+    360: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 86],
+    370: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 86],
+    380: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 86],
+    390: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 86],
+    400: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 86],
+    410: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 86],
+    420: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 86],
+    430: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 86],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 86],
+    450: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 86],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 86, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 86, 357, 358, 359],
+    490: [0, 1, 86, 357, 358, 359],
+    500: [357]
   },
   250: {
-    0: [74, 75, 76, 77],
-    10: [74, 75, 76, 77],
-    20: [74, 75, 76, 77],
-    30: [73, 74, 75, 76],
-    40: [73, 74, 75, 76],
-    50: [73, 74, 75, 76],
-    60: [72, 73, 74, 75],
-    70: [71, 72, 73, 74, 75],
-    80: [71, 72, 73, 74, 75],
-    90: [71, 72, 73, 74],
-    100: [70, 71, 72, 73, 74],
-    110: [69, 70, 71, 72, 73],
-    120: [69, 70, 71, 72, 73],
-    130: [68, 69, 70, 71, 72],
-    140: [68, 69, 70, 71, 72],
-    150: [67, 68, 69, 70, 71],
-    160: [66, 67, 68, 69, 70, 71],
-    170: [66, 67, 68, 69, 70],
-    180: [65, 66, 67, 68, 69, 70],
-    190: [64, 65, 66, 67, 68, 69],
-    200: [63, 64, 65, 66, 67, 68],
-    210: [62, 63, 64, 65, 66, 67, 68],
-    220: [61, 62, 63, 64, 65, 66, 67],
-    230: [60, 61, 62, 63, 64, 65, 66],
-    240: [59, 60, 61, 62, 63, 64, 65],
-    250: [57, 58, 59, 60, 61, 62, 63, 64],
-    260: [57, 58, 59, 60, 61, 62, 63],
-    270: [55, 56, 57, 58, 59, 60, 61, 62],
-    280: [54, 55, 56, 57, 58, 59, 60, 61],
-    290: [52, 53, 54, 55, 56, 57, 58, 59, 60],
-    300: [51, 52, 53, 54, 55, 56, 57, 58],
-    310: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
-    320: [47, 48, 49, 50, 51, 52, 53, 54, 55],
-    330: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
-    340: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
-    350: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
-    360: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    370: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
-    380: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
-    390: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40],
-    400: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
-    410: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33],
-    420: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30],
-    430: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27],
-    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
-    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18],
-    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 357, 358, 359],
-    480: [0, 1, 2, 3, 4, 5, 357, 358, 359],
-    490: [0, 1, 357, 358, 359],
-    500: [357],
+    0: [74, 75, 76, 77, 86],
+    10: [74, 75, 76, 77, 86],
+    20: [74, 75, 76, 77, 86],
+    30: [73, 74, 75, 76, 86],
+    40: [73, 74, 75, 76, 86],
+    50: [73, 74, 75, 76, 86],
+    60: [72, 73, 74, 75, 86],
+    70: [71, 72, 73, 74, 75, 86],
+    80: [71, 72, 73, 74, 75, 86],
+    90: [71, 72, 73, 74, 86],
+    100: [70, 71, 72, 73, 74, 86],
+    110: [69, 70, 71, 72, 73, 86],
+    120: [69, 70, 71, 72, 73, 86],
+    130: [68, 69, 70, 71, 72, 86],
+    140: [68, 69, 70, 71, 72, 86],
+    150: [67, 68, 69, 70, 71, 86],
+    160: [66, 67, 68, 69, 70, 71, 86],
+    170: [66, 67, 68, 69, 70, 86],
+    180: [65, 66, 67, 68, 69, 70, 86],
+    190: [64, 65, 66, 67, 68, 69, 86],
+    200: [63, 64, 65, 66, 67, 68, 86],
+    210: [62, 63, 64, 65, 66, 67, 68, 86],
+    220: [61, 62, 63, 64, 65, 66, 67, 86],
+    230: [60, 61, 62, 63, 64, 65, 66, 86],
+    240: [59, 60, 61, 62, 63, 64, 65, 86],
+    250: [57, 58, 59, 60, 61, 62, 63, 64, 86],
+    260: [57, 58, 59, 60, 61, 62, 63, 86],
+    270: [55, 56, 57, 58, 59, 60, 61, 62, 86],
+    280: [54, 55, 56, 57, 58, 59, 60, 61, 86],
+    290: [52, 53, 54, 55, 56, 57, 58, 59, 60, 86],
+    300: [51, 52, 53, 54, 55, 56, 57, 58, 86],
+    310: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 86],
+    320: [47, 48, 49, 50, 51, 52, 53, 54, 55, 86],
+    330: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 86],
+    340: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 86],
+    350: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 86],
+    360: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 86],
+    370: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 86],
+    380: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 86],
+    390: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 86],
+    400: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 86],
+    410: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 86],
+    420: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 86],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 86],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 86],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 86],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 86, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 86, 357, 358, 359],
+    490: [0, 1, 86, 357, 358, 359],
+    500: [86, 357]
   },
   260: {
-    0: [73, 74, 75, 76, 85],
-    10: [73, 74, 75, 76, 85],
-    20: [73, 74, 75, 76, 85],
-    30: [72, 73, 74, 75, 85],
-    40: [72, 73, 74, 75, 85],
-    50: [71, 72, 73, 74, 75, 85],
-    60: [71, 72, 73, 74, 85],
-    70: [70, 71, 72, 73, 74, 85],
-    80: [70, 71, 72, 73, 85],
-    90: [69, 70, 71, 72, 73, 85],
-    100: [69, 70, 71, 72, 85],
-    110: [68, 69, 70, 71, 72],
-    120: [67, 68, 69, 70, 71, 72],
-    130: [67, 68, 69, 70, 71],
-    140: [66, 67, 68, 69, 70, 71],
-    150: [65, 66, 67, 68, 69, 70],
-    160: [65, 66, 67, 68, 69],
-    170: [64, 65, 66, 67, 68, 69],
-    180: [63, 64, 65, 66, 67, 68],
-    190: [62, 63, 64, 65, 66, 67],
-    200: [61, 62, 63, 64, 65, 66, 67],
-    210: [61, 62, 63, 64, 65, 66],
-    220: [59, 60, 61, 62, 63, 64, 65],
-    230: [58, 59, 60, 61, 62, 63, 64],
-    240: [57, 58, 59, 60, 61, 62, 63],
-    250: [56, 57, 58, 59, 60, 61, 62],
-    260: [54, 55, 56, 57, 58, 59, 60, 61],
-    270: [53, 54, 55, 56, 57, 58, 59, 60],
-    280: [52, 53, 54, 55, 56, 57, 58, 59],
-    290: [50, 51, 52, 53, 54, 55, 56, 57],
-    300: [48, 49, 50, 51, 52, 53, 54, 55, 56],
-    310: [47, 48, 49, 50, 51, 52, 53, 54],
-    320: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
-    330: [43, 44, 45, 46, 47, 48, 49, 50, 51],
-    340: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
-    350: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
-    360: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
-    370: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
-    380: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40],
-    390: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
-    400: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35],
-    410: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
-    420: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
-    430: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24],
-    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21],
-    450: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17],
-    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 357, 358, 359],
-    480: [0, 1, 2, 3, 4, 5, 357, 358, 359],
-    490: [0, 1, 357, 358, 359],
-    500: [357],
+    0: [73, 74, 75, 76, 85, 86],
+    10: [73, 74, 75, 76, 85, 86],
+    20: [73, 74, 75, 76, 85, 86],
+    30: [72, 73, 74, 75, 85, 86],
+    40: [72, 73, 74, 75, 85, 86],
+    50: [71, 72, 73, 74, 75, 85, 86],
+    60: [71, 72, 73, 74, 85, 86],
+    70: [70, 71, 72, 73, 74, 85, 86],
+    80: [70, 71, 72, 73, 85, 86],
+    90: [69, 70, 71, 72, 73, 85, 86],
+    100: [69, 70, 71, 72, 85, 86],
+    110: [68, 69, 70, 71, 72, 86],
+    120: [67, 68, 69, 70, 71, 72, 86],
+    130: [67, 68, 69, 70, 71, 86],
+    140: [66, 67, 68, 69, 70, 71, 86],
+    150: [65, 66, 67, 68, 69, 70, 86],
+    160: [65, 66, 67, 68, 69, 86],
+    170: [64, 65, 66, 67, 68, 69, 86],
+    180: [63, 64, 65, 66, 67, 68, 86],
+    190: [62, 63, 64, 65, 66, 67, 86],
+    200: [61, 62, 63, 64, 65, 66, 67, 86],
+    210: [61, 62, 63, 64, 65, 66, 86],
+    220: [59, 60, 61, 62, 63, 64, 65, 86],
+    230: [58, 59, 60, 61, 62, 63, 64, 86],
+    240: [57, 58, 59, 60, 61, 62, 63, 86],
+    250: [56, 57, 58, 59, 60, 61, 62, 86],
+    260: [54, 55, 56, 57, 58, 59, 60, 61, 86],
+    270: [53, 54, 55, 56, 57, 58, 59, 60, 86],
+    280: [52, 53, 54, 55, 56, 57, 58, 59, 86],
+    290: [50, 51, 52, 53, 54, 55, 56, 57, 86],
+    300: [48, 49, 50, 51, 52, 53, 54, 55, 56, 86],
+    310: [47, 48, 49, 50, 51, 52, 53, 54, 86],
+    320: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 86],
+    330: [43, 44, 45, 46, 47, 48, 49, 50, 51, 86],
+    340: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 86],
+    350: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 86],
+    360: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 86],
+    370: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 86],
+    380: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 86],
+    390: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 86],
+    400: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 86],
+    410: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 86],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 86],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 86],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 86],
+    450: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 86],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 86, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 86, 357, 358, 359],
+    490: [0, 1, 86, 357, 358, 359],
+    500: [357]
   },
   270: {
     0: [72, 73, 74, 75, 85],
@@ -2019,7 +1448,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 85],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 85, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 85, 357, 358, 359],
-    490: [0, 1, 357, 358, 359],
+    490: [0, 1, 357, 358, 359]
   },
   280: {
     0: [71, 72, 73, 74, 85],
@@ -2072,7 +1501,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 85, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 85, 358, 359],
     490: [0, 1, 85, 358, 359],
-    500: [358],
+    500: [358]
   },
   290: {
     0: [70, 71, 72, 73, 84, 85],
@@ -2125,7 +1554,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 85, 358, 359],
     480: [0, 1, 2, 3, 4, 5, 85, 358, 359],
     490: [0, 1, 85, 358, 359],
-    500: [358],
+    500: [358]
   },
   300: {
     0: [70, 71, 72, 84],
@@ -2178,7 +1607,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 84, 85, 358, 359],
     480: [0, 1, 2, 3, 4, 84, 85, 358, 359],
     490: [0, 1, 358, 359],
-    500: [358],
+    500: [358]
   },
   310: {
     0: [69, 70, 71, 84],
@@ -2230,7 +1659,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 84],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 84, 359],
     480: [0, 1, 2, 3, 4, 84, 358, 359],
-    490: [0, 1, 84, 358, 359],
+    490: [0, 1, 84, 358, 359]
   },
   320: {
     0: [68, 69, 70, 83, 84],
@@ -2282,7 +1711,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 84],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 84, 359],
     480: [0, 1, 2, 3, 4, 84, 359],
-    490: [0, 1, 84, 359],
+    490: [0, 1, 84, 359]
   },
   330: {
     0: [67, 68, 69, 83],
@@ -2335,7 +1764,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 84, 359],
     480: [0, 1, 2, 3, 4, 84, 359],
     490: [0, 1, 2, 84, 359],
-    500: [359],
+    500: [359]
   },
   340: {
     0: [66, 67, 68, 83],
@@ -2387,7 +1816,7 @@ export default {
     460: [2, 3, 4, 5, 6, 7, 8, 9, 83],
     470: [0, 1, 2, 3, 4, 5, 6, 83, 359],
     480: [0, 1, 2, 3, 4, 83, 359],
-    490: [0, 1, 83, 359],
+    490: [0, 1, 83, 359]
   },
   350: {
     0: [65, 66, 67, 68, 82, 83],
@@ -2440,7 +1869,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 83],
     480: [0, 1, 2, 3, 4, 83],
     490: [0, 1, 2, 83],
-    500: [83],
+    500: [83]
   },
   360: {
     0: [64, 65, 66, 67, 82],
@@ -2492,7 +1921,7 @@ export default {
     460: [2, 3, 4, 5, 6, 7, 8, 9, 83],
     470: [0, 1, 2, 3, 4, 5, 6, 83],
     480: [0, 1, 2, 3, 4, 83],
-    490: [0, 1, 83],
+    490: [0, 1, 83]
   },
   370: {
     0: [63, 64, 65, 66, 82],
@@ -2544,7 +1973,7 @@ export default {
     460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 82],
     470: [0, 1, 2, 3, 4, 5, 6, 82],
     480: [0, 1, 2, 3, 4, 82],
-    490: [0, 1, 2, 82],
+    490: [0, 1, 2, 82]
   },
   380: {
     0: [62, 63, 64, 65, 81, 82],
@@ -2597,7 +2026,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 82],
     480: [0, 1, 2, 3, 4, 82],
     490: [0, 1, 2, 82],
-    500: [0],
+    500: [0]
   },
   390: {
     0: [62, 63, 64, 81],
@@ -2650,7 +2079,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 82],
     480: [0, 1, 2, 3, 4, 82],
     490: [0, 1, 2, 82],
-    500: [0],
+    500: [0]
   },
   400: {
     0: [61, 62, 63, 81],
@@ -2702,7 +2131,7 @@ export default {
     460: [2, 3, 4, 5, 6, 7, 8, 81, 82],
     470: [1, 2, 3, 4, 5, 6, 81, 82],
     480: [0, 1, 2, 3, 4, 81, 82],
-    490: [0, 1, 2],
+    490: [0, 1, 2]
   },
   410: {
     0: [60, 61, 62, 80, 81],
@@ -2754,7 +2183,7 @@ export default {
     460: [2, 3, 4, 5, 6, 7, 8, 81],
     470: [1, 2, 3, 4, 5, 6, 81],
     480: [1, 2, 3, 4, 81],
-    490: [1, 2, 81],
+    490: [1, 2, 81]
   },
   420: {
     0: [59, 60, 61, 62, 80],
@@ -2806,7 +2235,7 @@ export default {
     460: [2, 3, 4, 5, 6, 7, 8, 81],
     470: [1, 2, 3, 4, 5, 6, 81],
     480: [1, 2, 3, 4, 81],
-    490: [1, 2, 81],
+    490: [1, 2, 81]
   },
   430: {
     0: [59, 60, 61, 80],
@@ -2858,7 +2287,7 @@ export default {
     460: [2, 3, 4, 5, 6, 7, 8, 80, 81],
     470: [1, 2, 3, 4, 5, 6, 80, 81],
     480: [1, 2, 3, 4, 80, 81],
-    490: [1, 2],
+    490: [1, 2]
   },
   440: {
     0: [58, 59, 60, 79, 80],
@@ -2910,7 +2339,7 @@ export default {
     460: [2, 3, 4, 5, 6, 7, 80],
     470: [1, 2, 3, 4, 5, 6, 80],
     480: [1, 2, 3, 4, 80],
-    490: [1, 2, 80],
+    490: [1, 2, 80]
   },
   450: {
     0: [57, 58, 59, 79],
@@ -2963,7 +2392,7 @@ export default {
     470: [1, 2, 3, 4, 5, 6, 80],
     480: [1, 2, 3, 4, 80],
     490: [1, 2, 80],
-    500: [1],
+    500: [1]
   },
   460: {
     0: [57, 58, 59, 79],
@@ -3015,7 +2444,7 @@ export default {
     460: [3, 4, 5, 6, 7, 80],
     470: [1, 2, 3, 4, 5, 6, 80],
     480: [1, 2, 3, 4, 80],
-    490: [1, 2, 80],
+    490: [1, 2, 80]
   },
   470: {
     0: [56, 57, 58, 78, 79],
@@ -3067,7 +2496,7 @@ export default {
     460: [3, 4, 5, 6, 7, 79],
     470: [2, 3, 4, 5, 6, 79],
     480: [1, 2, 3, 4, 79],
-    490: [1, 2, 79],
+    490: [1, 2, 79]
   },
   480: {
     0: [55, 56, 57, 78],
@@ -3119,7 +2548,7 @@ export default {
     460: [3, 4, 5, 6, 7, 79],
     470: [2, 3, 4, 5, 6, 79],
     480: [2, 3, 4, 79],
-    490: [2, 79],
+    490: [2, 79]
   },
   490: {
     0: [55, 56, 57, 78],
@@ -3171,7 +2600,7 @@ export default {
     460: [3, 4, 5, 6, 7, 79],
     470: [2, 3, 4, 5, 6, 79],
     480: [2, 3, 4, 79],
-    490: [2, 3, 79],
+    490: [2, 3, 79]
   },
   500: {
     0: [54, 55, 56, 77, 78],
@@ -3223,7 +2652,7 @@ export default {
     460: [3, 4, 5, 6, 7, 78],
     470: [2, 3, 4, 5, 6, 78],
     480: [2, 3, 4, 78],
-    490: [2, 3, 78],
+    490: [2, 3, 78]
   },
   510: {
     0: [53, 54, 55, 77],
@@ -3275,7 +2704,7 @@ export default {
     460: [3, 4, 5, 6, 7, 78],
     470: [2, 3, 4, 5, 78],
     480: [2, 3, 4, 78],
-    490: [2, 3, 78],
+    490: [2, 3, 78]
   },
   520: {
     0: [53, 54, 55, 77],
@@ -3327,7 +2756,7 @@ export default {
     460: [3, 4, 5, 6, 7, 78],
     470: [2, 3, 4, 5, 6, 78],
     480: [2, 3, 4, 78],
-    490: [2, 3, 78],
+    490: [2, 3, 78]
   },
   530: {
     0: [52, 53, 54, 76, 77],
@@ -3380,7 +2809,7 @@ export default {
     470: [2, 3, 4, 5, 6, 77],
     480: [2, 3, 4, 77],
     490: [2, 3, 77],
-    500: [2],
+    500: [2]
   },
   540: {
     0: [52, 53, 54, 76],
@@ -3433,7 +2862,7 @@ export default {
     470: [2, 3, 4, 5, 6, 77],
     480: [2, 3, 4, 77],
     490: [2, 3, 77],
-    500: [2, 77],
+    500: [2, 77]
   },
   550: {
     0: [51, 52, 53, 76],
@@ -3486,7 +2915,7 @@ export default {
     470: [3, 4, 5, 6, 77],
     480: [2, 3, 4, 5, 77],
     490: [2, 3, 77],
-    500: [77],
+    500: [77]
   },
   560: {
     0: [51, 52, 53, 75, 76],
@@ -3538,7 +2967,7 @@ export default {
     460: [4, 5, 6, 7, 76, 77],
     470: [3, 4, 5, 6, 76, 77],
     480: [3, 4, 76, 77],
-    490: [3, 76, 77],
+    490: [3, 76, 77]
   },
   570: {
     0: [50, 51, 52, 75],
@@ -3591,7 +3020,7 @@ export default {
     470: [3, 4, 5, 6, 76],
     480: [3, 4, 5, 76],
     490: [3, 76],
-    500: [76],
+    500: [76]
   },
   580: {
     0: [50, 51, 75],
@@ -3644,7 +3073,7 @@ export default {
     470: [3, 4, 5, 6, 76],
     480: [3, 4, 5, 76],
     490: [3, 76],
-    500: [76],
+    500: [76]
   },
   590: {
     0: [49, 50, 51, 74, 75],
@@ -3696,7 +3125,7 @@ export default {
     460: [4, 5, 6, 7, 75, 76],
     470: [3, 4, 5, 6, 75, 76],
     480: [3, 4, 5, 75, 76],
-    490: [3, 76],
+    490: [3, 76]
   },
   600: {
     0: [49, 50, 51, 74],
@@ -3748,7 +3177,7 @@ export default {
     460: [4, 5, 6, 7, 75],
     470: [3, 4, 5, 6, 75],
     480: [3, 4, 5, 75],
-    490: [3, 4, 75],
+    490: [3, 4, 75]
   },
   610: {
     0: [48, 49, 50, 74],
@@ -3801,7 +3230,7 @@ export default {
     470: [3, 4, 5, 6, 75],
     480: [3, 4, 5, 75],
     490: [3, 4, 75],
-    500: [3, 75],
+    500: [3, 75]
   },
   620: {
     0: [48, 49, 50, 73, 74],
@@ -3854,7 +3283,7 @@ export default {
     470: [3, 4, 5, 6, 75],
     480: [3, 4, 5, 75],
     490: [3, 4, 75],
-    500: [3],
+    500: [3]
   },
   630: {
     0: [47, 48, 49, 73],
@@ -3906,7 +3335,7 @@ export default {
     460: [4, 5, 6, 7, 74],
     470: [4, 5, 6, 74],
     480: [3, 4, 5, 74],
-    490: [3, 4, 74],
+    490: [3, 4, 74]
   },
   640: {
     0: [47, 48, 49, 73],
@@ -3959,7 +3388,7 @@ export default {
     470: [4, 5, 6, 74],
     480: [4, 5, 74],
     490: [4, 74],
-    500: [74],
+    500: [74]
   },
   650: {
     0: [47, 48, 72, 73],
@@ -4011,7 +3440,7 @@ export default {
     460: [5, 6, 7, 74],
     470: [4, 5, 6, 74],
     480: [4, 5, 74],
-    490: [4, 74],
+    490: [4, 74]
   },
   660: {
     0: [46, 47, 48, 72],
@@ -4063,7 +3492,7 @@ export default {
     460: [5, 6, 7, 73],
     470: [4, 5, 6, 73],
     480: [4, 5, 73],
-    490: [4, 73],
+    490: [4, 73]
   },
   670: {
     0: [46, 47, 48, 72],
@@ -4116,7 +3545,7 @@ export default {
     470: [4, 5, 6, 73],
     480: [4, 5, 73],
     490: [4, 73],
-    500: [73],
+    500: [73]
   },
   680: {
     0: [46, 47, 71],
@@ -4168,7 +3597,7 @@ export default {
     460: [5, 6, 7, 8, 73],
     470: [4, 5, 6, 7, 73],
     480: [4, 5, 73],
-    490: [4, 73],
+    490: [4, 73]
   },
   690: {
     0: [45, 46, 47, 71],
@@ -4221,7 +3650,7 @@ export default {
     470: [4, 5, 6, 7, 72],
     480: [4, 5, 6, 72],
     490: [4, 5, 72],
-    500: [4],
+    500: [4]
   },
   700: {
     0: [45, 46, 70, 71],
@@ -4273,7 +3702,7 @@ export default {
     460: [5, 6, 7, 8, 72],
     470: [4, 5, 6, 7, 72],
     480: [4, 5, 6, 72],
-    490: [4, 5, 72],
+    490: [4, 5, 72]
   },
   710: {
     0: [44, 45, 46, 70],
@@ -4325,7 +3754,7 @@ export default {
     460: [5, 6, 7, 8, 72],
     470: [5, 6, 7, 72],
     480: [5, 6, 72],
-    490: [5, 72],
+    490: [5, 72]
   },
   720: {
     0: [44, 45, 46, 70],
@@ -4377,7 +3806,7 @@ export default {
     460: [5, 6, 7, 8, 71],
     470: [5, 6, 7, 71],
     480: [5, 6, 71],
-    490: [5, 71],
+    490: [5, 71]
   },
   730: {
     0: [44, 45, 69, 70],
@@ -4429,7 +3858,7 @@ export default {
     460: [6, 7, 8, 71],
     470: [5, 6, 7, 71],
     480: [5, 6, 71],
-    490: [5, 71],
+    490: [5, 71]
   },
   740: {
     0: [44, 45, 69],
@@ -4481,7 +3910,7 @@ export default {
     460: [6, 7, 8, 71],
     470: [5, 6, 7, 71],
     480: [5, 6, 71],
-    490: [5, 71],
+    490: [5, 71]
   },
   750: {
     0: [43, 44, 45, 69],
@@ -4533,7 +3962,7 @@ export default {
     460: [6, 7, 8, 70],
     470: [5, 6, 7, 70],
     480: [5, 6, 70],
-    490: [5, 70],
+    490: [5, 70]
   },
   760: {
     0: [43, 44, 45, 68, 69],
@@ -4585,7 +4014,7 @@ export default {
     460: [6, 7, 8, 70],
     470: [5, 6, 7, 70],
     480: [5, 6, 70],
-    490: [5, 70],
+    490: [5, 70]
   },
   770: {
     0: [43, 44, 68],
@@ -4638,7 +4067,7 @@ export default {
     470: [5, 6, 7, 70],
     480: [5, 6, 70],
     490: [5, 6, 70],
-    500: [5],
+    500: [5]
   },
   780: {
     0: [43, 44, 67, 68],
@@ -4691,7 +4120,7 @@ export default {
     470: [5, 6, 7, 69],
     480: [5, 6, 7, 69],
     490: [5, 6, 69],
-    500: [5],
+    500: [5]
   },
   790: {
     0: [42, 43, 44, 67],
@@ -4743,7 +4172,7 @@ export default {
     460: [6, 7, 8, 69],
     470: [6, 7, 8, 69],
     480: [5, 6, 7, 69],
-    490: [6, 69],
+    490: [6, 69]
   },
   800: {
     0: [42, 43, 44, 67],
@@ -4795,7 +4224,7 @@ export default {
     460: [6, 7, 8, 69],
     470: [6, 7, 8, 69],
     480: [6, 7, 69],
-    490: [6, 69],
+    490: [6, 69]
   },
   810: {
     0: [42, 43, 66, 67],
@@ -4847,7 +4276,7 @@ export default {
     460: [7, 8, 9, 68],
     470: [6, 7, 8, 68],
     480: [6, 7, 68],
-    490: [6, 68],
+    490: [6, 68]
   },
   820: {
     0: [42, 43, 66],
@@ -4899,7 +4328,7 @@ export default {
     460: [7, 8, 9, 68],
     470: [6, 7, 8, 68],
     480: [6, 7, 68],
-    490: [6, 68],
+    490: [6, 68]
   },
   830: {
     0: [42, 43, 65, 66],
@@ -4951,7 +4380,7 @@ export default {
     460: [7, 8, 9, 67, 68],
     470: [6, 7, 8, 68],
     480: [6, 7, 68],
-    490: [6, 68],
+    490: [6, 68]
   },
   840: {
     0: [41, 42, 43, 65],
@@ -5004,7 +4433,7 @@ export default {
     470: [6, 7, 8, 67],
     480: [6, 7, 67],
     490: [6, 67],
-    500: [6],
+    500: [6]
   },
   850: {
     0: [41, 42, 43, 65],
@@ -5057,7 +4486,7 @@ export default {
     470: [6, 7, 8, 67],
     480: [6, 7, 67],
     490: [6, 7, 67],
-    500: [67],
+    500: [67]
   },
   860: {
     0: [41, 42, 64, 65],
@@ -5109,7 +4538,7 @@ export default {
     460: [7, 8, 9, 66, 67],
     470: [7, 8, 66, 67],
     480: [7, 67],
-    490: [7, 67],
+    490: [7, 67]
   },
   870: {
     0: [41, 42, 64],
@@ -5161,7 +4590,7 @@ export default {
     460: [7, 8, 9, 66],
     470: [7, 8, 66],
     480: [7, 8, 66],
-    490: [7, 66],
+    490: [7, 66]
   },
   880: {
     0: [41, 42, 63, 64],
@@ -5213,7 +4642,7 @@ export default {
     460: [7, 8, 9, 66],
     470: [7, 8, 9, 66],
     480: [7, 8, 66],
-    490: [7, 66],
+    490: [7, 66]
   },
   890: {
     0: [41, 42, 63],
@@ -5265,7 +4694,7 @@ export default {
     460: [8, 9, 65, 66],
     470: [7, 8, 9, 65, 66],
     480: [7, 8, 65, 66],
-    490: [7, 66],
+    490: [7, 66]
   },
   900: {
     0: [41, 42, 62, 63],
@@ -5317,7 +4746,7 @@ export default {
     460: [8, 9, 10, 65],
     470: [7, 8, 9, 65],
     480: [7, 8, 65],
-    490: [7, 65],
+    490: [7, 65]
   },
   910: {
     0: [41, 42, 62, 63],
@@ -5369,7 +4798,7 @@ export default {
     460: [8, 9, 10, 65],
     470: [7, 8, 9, 65],
     480: [7, 8, 65],
-    490: [7, 65],
+    490: [7, 65]
   },
   920: {
     0: [40, 41, 42, 61, 62],
@@ -5421,7 +4850,7 @@ export default {
     460: [8, 9, 10, 64, 65],
     470: [8, 9, 64, 65],
     480: [8, 64, 65],
-    490: [8, 64],
+    490: [8, 64]
   },
   930: {
     0: [40, 41, 42, 61, 62],
@@ -5473,7 +4902,7 @@ export default {
     460: [8, 9, 10, 64],
     470: [8, 9, 64],
     480: [8, 64],
-    490: [8, 64],
+    490: [8, 64]
   },
   940: {
     0: [40, 41, 42, 60, 61],
@@ -5526,7 +4955,7 @@ export default {
     470: [8, 9, 64],
     480: [8, 9, 64],
     490: [8, 64],
-    500: [64],
+    500: [64]
   },
   950: {
     0: [40, 41, 42, 60, 61],
@@ -5578,7 +5007,7 @@ export default {
     460: [9, 10, 63, 64],
     470: [8, 9, 63, 64],
     480: [8, 9, 63, 64],
-    490: [8, 63, 64],
+    490: [8, 63, 64]
   },
   960: {
     0: [40, 41, 42, 60],
@@ -5630,7 +5059,7 @@ export default {
     460: [9, 10, 63],
     470: [8, 9, 10, 63],
     480: [8, 9, 63],
-    490: [8, 63],
+    490: [8, 63]
   },
   970: {
     0: [40, 41, 42, 59, 60],
@@ -5683,7 +5112,7 @@ export default {
     470: [8, 9, 10, 63],
     480: [8, 9, 63],
     490: [8, 63],
-    500: [8],
+    500: [8]
   },
   980: {
     0: [40, 41, 42, 58, 59],
@@ -5735,7 +5164,7 @@ export default {
     460: [9, 10, 11, 62],
     470: [8, 9, 10, 62],
     480: [8, 9, 62, 63],
-    490: [8, 62],
+    490: [8, 62]
   },
   990: {
     0: [40, 41, 42, 58, 59],
@@ -5787,7 +5216,7 @@ export default {
     460: [9, 10, 11, 62],
     470: [9, 10, 62],
     480: [9, 62],
-    490: [9, 62],
+    490: [9, 62]
   },
   1000: {
     0: [40, 41, 42, 57, 58],
@@ -5839,7 +5268,7 @@ export default {
     460: [9, 10, 11, 61, 62],
     470: [9, 10, 61, 62],
     480: [9, 61, 62],
-    490: [9, 62],
+    490: [9, 62]
   },
   1010: {
     0: [40, 41, 42, 57, 58],
@@ -5891,7 +5320,7 @@ export default {
     460: [10, 11, 61],
     470: [9, 10, 61],
     480: [9, 10, 61],
-    490: [9, 61],
+    490: [9, 61]
   },
   1020: {
     0: [40, 41, 42, 56, 57],
@@ -5944,7 +5373,7 @@ export default {
     470: [9, 10, 61],
     480: [9, 10, 61],
     490: [9, 61],
-    500: [9],
+    500: [9]
   },
   1030: {
     0: [40, 41, 42, 56, 57],
@@ -5996,7 +5425,7 @@ export default {
     460: [10, 11, 60, 61],
     470: [9, 10, 11, 60, 61],
     480: [9, 10, 60, 61],
-    490: [9, 60, 61],
+    490: [9, 60, 61]
   },
   1040: {
     0: [40, 41, 42, 55, 56],
@@ -6048,7 +5477,7 @@ export default {
     460: [10, 11, 60],
     470: [10, 11, 60],
     480: [9, 10, 60],
-    490: [10, 60],
+    490: [10, 60]
   },
   1050: {
     0: [41, 42, 54, 55, 56],
@@ -6100,7 +5529,7 @@ export default {
     460: [10, 11, 12, 59, 60],
     470: [10, 11, 60],
     480: [10, 60],
-    490: [10, 60],
+    490: [10, 60]
   },
   1060: {
     0: [41, 42, 43, 54, 55],
@@ -6152,7 +5581,7 @@ export default {
     460: [10, 11, 12, 59],
     470: [10, 11, 59, 60],
     480: [10, 11, 59, 60],
-    490: [10, 59],
+    490: [10, 59]
   },
   1070: {
     0: [41, 42, 43, 53, 54, 55],
@@ -6204,7 +5633,7 @@ export default {
     460: [11, 12, 59],
     470: [10, 11, 59],
     480: [10, 11, 59],
-    490: [10, 59],
+    490: [10, 59]
   },
   1080: {
     0: [41, 42, 43, 52, 53, 54],
@@ -6256,7 +5685,7 @@ export default {
     460: [11, 12, 58, 59],
     470: [10, 11, 12, 58, 59],
     480: [10, 11, 58, 59],
-    490: [10, 59],
+    490: [10, 59]
   },
   1090: {
     0: [41, 42, 43, 44, 51, 52, 53],
@@ -6308,7 +5737,7 @@ export default {
     460: [11, 12, 58],
     470: [11, 12, 58],
     480: [10, 11, 58],
-    490: [10, 58],
+    490: [10, 58]
   },
   1100: {
     0: [42, 43, 44, 45, 50, 51, 52, 53],
@@ -6360,7 +5789,7 @@ export default {
     460: [11, 12, 13, 57, 58],
     470: [11, 12, 58],
     480: [11, 58],
-    490: [11, 58],
+    490: [11, 58]
   },
   1110: {
     0: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
@@ -6412,7 +5841,7 @@ export default {
     460: [11, 12, 13, 57, 58],
     470: [11, 12, 57, 58],
     480: [11, 57, 58],
-    490: [11, 57],
+    490: [11, 57]
   },
   1120: {
     0: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
@@ -6464,7 +5893,7 @@ export default {
     460: [12, 13, 57],
     470: [11, 12, 57],
     480: [11, 12, 57],
-    490: [11, 57],
+    490: [11, 57]
   },
   1130: {
     0: [43, 44, 45, 46, 47, 48, 49, 50],
@@ -6516,7 +5945,7 @@ export default {
     460: [12, 13, 56, 57],
     470: [11, 12, 56, 57],
     480: [11, 12, 56, 57],
-    490: [11, 56, 57],
+    490: [11, 56, 57]
   },
   1140: {
     0: [43, 44, 45, 46, 47, 48, 49],
@@ -6568,7 +5997,7 @@ export default {
     460: [12, 13, 56],
     470: [12, 13, 56],
     480: [12, 56],
-    490: [56],
+    490: [56]
   },
   1150: {
     0: [44, 45, 46, 47, 48],
@@ -6620,7 +6049,7 @@ export default {
     460: [12, 13, 55, 56],
     470: [12, 13, 55, 56],
     480: [12, 55, 56],
-    490: [12, 56],
+    490: [12, 56]
   },
   1160: {
     10: [44, 45, 46, 47],
@@ -6671,7 +6100,7 @@ export default {
     460: [12, 13, 14, 55],
     470: [12, 13, 55, 56],
     480: [12, 55, 56],
-    490: [12, 55, 56],
+    490: [12, 55, 56]
   },
   1170: {
     20: [43, 44, 45, 46, 47],
@@ -6722,7 +6151,7 @@ export default {
     470: [12, 13, 55],
     480: [12, 13, 55],
     490: [12, 55],
-    500: [12, 55],
+    500: [12, 55]
   },
   1180: {
     30: [43, 44, 45, 46, 47],
@@ -6772,7 +6201,7 @@ export default {
     470: [12, 13, 14, 54, 55],
     480: [12, 13, 54, 55],
     490: [12, 54, 55],
-    500: [12],
+    500: [12]
   },
   1190: {
     40: [42, 43, 44, 45, 46],
@@ -6820,6 +6249,6 @@ export default {
     460: [13, 14, 54],
     470: [13, 14, 54],
     480: [12, 13, 54],
-    490: [12, 13, 54],
-  },
+    490: [12, 13, 54]
+  }
 };
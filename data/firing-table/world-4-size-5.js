@@ -0,0 +1,6250 @@
+// Firing Table Data for World 4
+// Cannonball size level 5 (radius 12.0px)
+// Generated on 2026-10-19T18:31:50.325Z
+export default {
+  0: {
+    0: [94, 102, 103, 104],
+    10: [94, 103, 104],
+    20: [94, 103, 104, 105],
+    30: [94, 103, 104, 105],
+    40: [94, 103, 104, 105, 106],
+    50: [94, 104, 105, 106],
+    60: [94, 104, 105, 106],
+    70: [94, 104, 105, 106, 107],
+    80: [94, 105, 106, 107],
+    90: [94, 105, 106, 107, 108],
+    100: [94, 105, 106, 107, 108],
+    110: [94, 106, 107, 108, 109],
+    120: [94, 106, 107, 108, 109],
+    130: [94, 107, 108, 109, 110],
+    140: [94, 107, 108, 109, 110],
+    150: [94, 108, 109, 110, 111],
+    160: [94, 108, 109, 110, 111, 112],
+    170: [94, 109, 110, 111, 112],
+    180: [94, 109, 110, 111, 112, 113],
+    190: [94, 110, 111, 112, 113, 114],
+    200: [94, 111, 112, 113, 114],
+    210: [94, 111, 112, 113, 114, 115, 116],
+    220: [94, 113, 114, 115, 116],
+    230: [94, 113, 114, 115, 116, 117, 118],
+    240: [94, 114, 115, 116, 117, 118],
+    250: [94, 115, 116, 117, 118, 119, 120],
+    260: [94, 116, 117, 118, 119, 120, 121],
+    270: [94, 117, 118, 119, 120, 121, 122],
+    280: [94, 118, 119, 120, 121, 122, 123, 124],
+    290: [94, 119, 120, 121, 122, 123, 124, 125],
+    300: [94, 121, 122, 123, 124, 125, 126, 127],
+    310: [94, 122, 123, 124, 125, 126, 127, 128],
+    320: [94, 124, 125, 126, 127, 128, 129, 130],
+    330: [94, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    340: [94, 128, 129, 130, 131, 132, 133, 134],
+    350: [94, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    360: [94, 132, 133, 134, 135, 136, 137, 138, 139],
+    370: [94, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    380: [94, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    390: [94, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    400: [94, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    410: [94, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    420: [94, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    430: [94, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    440: [94, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    450: [94, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [94, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [94, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [94, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    490: [94, 181, 182, 183, 184, 185],
+    500: [185]
+  },
+  10: {
+    0: [101, 102, 103],
+    10: [101, 102, 103],
+    20: [102, 103, 104],
+    30: [102, 103, 104],
+    40: [102, 103, 104],
+    50: [102, 103, 104, 105],
+    60: [103, 104, 105],
+    70: [103, 104, 105, 106],
+    80: [103, 104, 105, 106],
+    90: [104, 105, 106],
+    100: [104, 105, 106, 107],
+    110: [104, 105, 106, 107],
+    120: [105, 106, 107, 108],
+    130: [105, 106, 107, 108],
+    140: [106, 107, 108, 109],
+    150: [106, 107, 108, 109],
+    160: [107, 108, 109, 110],
+    170: [107, 108, 109, 110, 111],
+    180: [108, 109, 110, 111],
+    190: [108, 109, 110, 111, 112],
+    200: [93, 109, 110, 111, 112, 113],
+    210: [93, 110, 111, 112, 113, 114],
+    220: [93, 110, 111, 112, 113, 114, 115],
+    230: [93, 111, 112, 113, 114, 115, 116],
+    240: [93, 112, 113, 114, 115, 116, 117],
+    250: [93, 113, 114, 115, 116, 117],
+    260: [93, 114, 115, 116, 117, 118, 119],
+    270: [93, 115, 116, 117, 118, 119, 120],
+    280: [93, 116, 117, 118, 119, 120, 121, 122],
+    290: [93, 118, 119, 120, 121, 122, 123],
+    300: [93, 118, 119, 120, 121, 122, 123, 124, 125],
+    310: [93, 120, 121, 122, 123, 124, 125, 126],
+    320: [93, 121, 122, 123, 124, 125, 126, 127, 128],
+    330: [93, 124, 125, 126, 127, 128, 129],
+    340: [93, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    350: [93, 127, 128, 129, 130, 131, 132, 133, 134],
+    360: [93, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    370: [93, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    380: [93, 135, 136, 137, 138, 139, 140, 141, 142],
+    390: [93, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    400: [93, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    410: [93, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    420: [93, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    430: [93, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    440: [93, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    450: [93, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [93, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177],
+    470: [93, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    480: [93, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [182, 183, 184, 185, 186, 187]
+  },
+  20: {
+    0: [93, 100, 101, 102],
+    10: [93, 100, 101, 102],
+    20: [93, 101, 102, 103],
+    30: [93, 101, 102, 103],
+    40: [93, 101, 102, 103],
+    50: [93, 101, 102, 103, 104],
+    60: [93, 102, 103, 104],
+    70: [93, 102, 103, 104],
+    80: [93, 102, 103, 104, 105],
+    90: [93, 102, 103, 104, 105],
+    100: [93, 103, 104, 105],
+    110: [93, 103, 104, 105, 106],
+    120: [93, 103, 104, 105, 106, 107],
+    130: [93, 104, 105, 106, 107],
+    140: [93, 104, 105, 106, 107, 108],
+    150: [93, 105, 106, 107, 108],
+    160: [93, 105, 106, 107, 108],
+    170: [93, 106, 107, 108, 109],
+    180: [93, 106, 107, 108, 109, 110],
+    190: [93, 107, 108, 109, 110, 111],
+    200: [93, 107, 108, 109, 110, 111],
+    210: [93, 108, 109, 110, 111, 112],
+    220: [93, 108, 109, 110, 111, 112, 113],
+    230: [93, 109, 110, 111, 112, 113, 114],
+    240: [93, 110, 111, 112, 113, 114, 115],
+    250: [93, 111, 112, 113, 114, 115, 116],
+    260: [93, 112, 113, 114, 115, 116, 117],
+    270: [93, 113, 114, 115, 116, 117, 118],
+    280: [93, 114, 115, 116, 117, 118, 119],
+    290: [93, 115, 116, 117, 118, 119, 120, 121],
+    300: [93, 116, 117, 118, 119, 120, 121, 122],
+    310: [93, 117, 118, 119, 120, 121, 122, 123, 124],
+    320: [93, 119, 120, 121, 122, 123, 124, 125, 126],
+    330: [93, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    340: [93, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    350: [93, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    360: [93, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    370: [93, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    380: [93, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    390: [93, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    400: [93, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    410: [93, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    420: [93, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    430: [93, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    440: [93, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167],
+    450: [93, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [93, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [93, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [93, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    490: [93, 181, 182, 183, 184, 185, 186, 187],
+    500: [187]
+  },
+  30: {
+    0: [93, 99, 100, 101],
+    10: [93, 99, 100, 101],
+    20: [93, 99, 100, 101, 102],
+    30: [93, 100, 101, 102],
+    40: [93, 100, 101, 102],
+    50: [93, 100, 101, 102],
+    60: [93, 100, 101, 102, 103],
+    70: [93, 101, 102, 103],
+    80: [93, 101, 102, 103],
+    90: [93, 101, 102, 103, 104],
+    100: [93, 101, 102, 103, 104],
+    110: [93, 102, 103, 104, 105],
+    120: [93, 102, 103, 104, 105],
+    130: [93, 102, 103, 104, 105],
+    140: [93, 103, 104, 105, 106],
+    150: [93, 103, 104, 105, 106, 107],
+    160: [93, 104, 105, 106, 107],
+    170: [93, 104, 105, 106, 107, 108],
+    180: [93, 104, 105, 106, 107, 108],
+    190: [93, 105, 106, 107, 108, 109],
+    200: [93, 105, 106, 107, 108, 109, 110],
+    210: [93, 106, 107, 108, 109, 110],
+    220: [93, 107, 108, 109, 110, 111],
+    230: [93, 107, 108, 109, 110, 111, 112],
+    240: [93, 108, 109, 110, 111, 112, 113],
+    250: [93, 109, 110, 111, 112, 113, 114],
+    260: [93, 110, 111, 112, 113, 114],
+    270: [93, 110, 111, 112, 113, 114, 115, 116],
+    280: [93, 112, 113, 114, 115, 116, 117],
+    290: [93, 112, 113, 114, 115, 116, 117, 118, 119],
+    300: [93, 114, 115, 116, 117, 118, 119, 120],
+    310: [93, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    320: [93, 116, 117, 118, 119, 120, 121, 122, 123],
+    330: [93, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    340: [93, 120, 121, 122, 123, 124, 125, 126, 127],
+    350: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    360: [93, 124, 125, 126, 127, 128, 129, 130, 131],
+    370: [93, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    380: [93, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    390: [93, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    400: [93, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    410: [93, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    420: [93, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    430: [93, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    440: [93, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [93, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    460: [93, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177],
+    470: [93, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [93, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189],
+    490: [93, 183, 184, 185, 186, 187, 188, 189]
+  },
+  40: {
+    0: [93, 98, 99, 100],
+    10: [93, 98, 99, 100],
+    20: [93, 98, 99, 100],
+    30: [93, 98, 99, 100, 101],
+    40: [99, 100, 101],
+    50: [99, 100, 101],
+    60: [99, 100, 101, 102],
+    70: [99, 100, 101, 102],
+    80: [100, 101, 102],
+    90: [100, 101, 102, 103],
+    100: [100, 101, 102, 103],
+    110: [100, 101, 102, 103],
+    120: [101, 102, 103, 104],
+    130: [101, 102, 103, 104],
+    140: [101, 102, 103, 104],
+    150: [101, 102, 103, 104, 105],
+    160: [102, 103, 104, 105],
+    170: [102, 103, 104, 105, 106],
+    180: [103, 104, 105, 106, 107],
+    190: [103, 104, 105, 106, 107],
+    200: [104, 105, 106, 107, 108],
+    210: [104, 105, 106, 107, 108, 109],
+    220: [105, 106, 107, 108, 109],
+    230: [105, 106, 107, 108, 109, 110],
+    240: [106, 107, 108, 109, 110, 111],
+    250: [106, 107, 108, 109, 110, 111, 112],
+    260: [107, 108, 109, 110, 111, 112, 113],
+    270: [108, 109, 110, 111, 112, 113, 114],
+    280: [109, 110, 111, 112, 113, 114, 115],
+    290: [110, 111, 112, 113, 114, 115, 116],
+    300: [111, 112, 113, 114, 115, 116, 117, 118],
+    310: [112, 113, 114, 115, 116, 117, 118, 119],
+    320: [113, 114, 115, 116, 117, 118, 119, 120, 121],
+    330: [115, 116, 117, 118, 119, 120, 121, 122],
+    340: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    350: [118, 119, 120, 121, 122, 123, 124, 125, 126],
+    360: [119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    370: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    380: [125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    390: [127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    400: [131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    410: [134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    420: [138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    430: [143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    440: [149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    450: [154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    460: [160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    480: [174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189],
+    490: [181, 182, 183, 184, 185, 186, 187, 188, 189],
+    500: [188, 189]
+  },
+  50: {
+    0: [92, 97, 98, 99],
+    10: [92, 97, 98, 99],
+    20: [92, 97, 98, 99],
+    30: [92, 97, 98, 99, 100],
+    40: [92, 97, 98, 99, 100],
+    50: [92, 98, 99, 100],
+    60: [92, 98, 99, 100],
+    70: [92, 98, 99, 100, 101],
+    80: [92, 98, 99, 100, 101],
+    90: [92, 98, 99, 100, 101],
+    100: [92, 99, 100, 101, 102],
+    110: [92, 99, 100, 101, 102],
+    120: [92, 99, 100, 101, 102],
+    130: [92, 99, 100, 101, 102, 103],
+    140: [92, 100, 101, 102, 103],
+    150: [92, 100, 101, 102, 103],
+    160: [92, 100, 101, 102, 103, 104],
+    170: [92, 101, 102, 103, 104],
+    180: [92, 101, 102, 103, 104, 105],
+    190: [92, 101, 102, 103, 104, 105],
+    200: [92, 102, 103, 104, 105, 106],
+    210: [92, 102, 103, 104, 105, 106, 107],
+    220: [92, 103, 104, 105, 106, 107],
+    230: [92, 103, 104, 105, 106, 107, 108],
+    240: [92, 104, 105, 106, 107, 108, 109],
+    250: [92, 104, 105, 106, 107, 108, 109],
+    260: [92, 105, 106, 107, 108, 109, 110, 111],
+    270: [92, 106, 107, 108, 109, 110, 111],
+    280: [92, 106, 107, 108, 109, 110, 111, 112, 113],
+    290: [92, 108, 109, 110, 111, 112, 113],
+    300: [92, 108, 109, 110, 111, 112, 113, 114, 115],
+    310: [92, 109, 110, 111, 112, 113, 114, 115, 116],
+    320: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    330: [92, 112, 113, 114, 115, 116, 117, 118, 119],
+    340: [92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    350: [92, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    360: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    370: [92, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    380: [92, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    390: [92, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    400: [92, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    410: [92, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    420: [92, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    430: [92, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    440: [92, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [92, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    460: [92, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [92, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [92, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    490: [92, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    500: [92]
+  },
+  60: {
+    0: [92, 96, 97, 98],
+    10: [92, 96, 97, 98],
+    20: [92, 96, 97, 98],
+    30: [92, 96, 97, 98],
+    40: [92, 96, 97, 98, 99],
+    50: [92, 96, 97, 98, 99],
+    60: [92, 96, 97, 98, 99],
+    70: [92, 97, 98, 99],
+    80: [92, 97, 98, 99],
+    90: [92, 97, 98, 99, 100],
+    100: [92, 97, 98, 99, 100],
+    110: [92, 97, 98, 99, 100],
+    120: [92, 98, 99, 100, 101],
+    130: [92, 98, 99, 100, 101],
+    140: [92, 98, 99, 100, 101],
+    150: [92, 98, 99, 100, 101, 102],
+    160: [92, 98, 99, 100, 101, 102],
+    170: [92, 99, 100, 101, 102, 103],
+    180: [92, 99, 100, 101, 102, 103],
+    190: [92, 99, 100, 101, 102, 103, 104],
+    200: [92, 100, 101, 102, 103, 104],
+    210: [92, 100, 101, 102, 103, 104, 105],
+    220: [92, 101, 102, 103, 104, 105],
+    230: [92, 101, 102, 103, 104, 105, 106],
+    240: [92, 101, 102, 103, 104, 105, 106, 107],
+    250: [92, 102, 103, 104, 105, 106, 107],
+    260: [92, 102, 103, 104, 105, 106, 107, 108],
+    270: [92, 103, 104, 105, 106, 107, 108, 109],
+    280: [92, 103, 104, 105, 106, 107, 108, 109, 110],
+    290: [92, 104, 105, 106, 107, 108, 109, 110, 111],
+    300: [92, 105, 106, 107, 108, 109, 110, 111, 112],
+    310: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    320: [92, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    330: [92, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    340: [92, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    350: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    360: [92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    370: [92, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    380: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    390: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    400: [92, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    410: [92, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    420: [92, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    430: [92, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    440: [92, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    450: [92, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    460: [92, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [92, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [92, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    490: [92, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    500: [92, 191, 192]
+  },
+  70: {
+    0: [92, 95, 96, 97],
+    10: [92, 95, 96, 97],
+    20: [92, 95, 96, 97],
+    30: [92, 95, 96, 97],
+    40: [92, 95, 96, 97],
+    50: [92, 95, 96, 97],
+    60: [92, 95, 96, 97, 98],
+    70: [92, 95, 96, 97, 98],
+    80: [92, 95, 96, 97, 98],
+    90: [92, 96, 97, 98],
+    100: [92, 96, 97, 98, 99],
+    110: [92, 96, 97, 98, 99],
+    120: [92, 96, 97, 98, 99],
+    130: [92, 96, 97, 98, 99, 100],
+    140: [92, 96, 97, 98, 99, 100],
+    150: [97, 98, 99, 100],
+    160: [92, 97, 98, 99, 100, 101],
+    170: [92, 97, 98, 99, 100, 101],
+    180: [97, 98, 99, 100, 101],
+    190: [97, 98, 99, 100, 101, 102],
+    200: [98, 99, 100, 101, 102],
+    210: [98, 99, 100, 101, 102, 103],
+    220: [98, 99, 100, 101, 102, 103],
+    230: [99, 100, 101, 102, 103],
+    240: [99, 100, 101, 102, 103, 104],
+    250: [100, 101, 102, 103, 104, 105],
+    260: [100, 101, 102, 103, 104, 105, 106],
+    270: [100, 101, 102, 103, 104, 105, 106],
+    280: [101, 102, 103, 104, 105, 106, 107],
+    290: [101, 102, 103, 104, 105, 106, 107, 108],
+    300: [103, 104, 105, 106, 107, 108, 109],
+    310: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    320: [104, 105, 106, 107, 108, 109, 110, 111],
+    330: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    340: [106, 107, 108, 109, 110, 111, 112, 113, 114],
+    350: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    360: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    370: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    380: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    390: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    400: [117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    410: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    420: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    430: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    440: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    450: [140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    460: [152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    490: [185, 186, 187, 188, 189, 190, 191, 192]
+  },
+  80: {
+    0: [91, 93, 94, 95, 96],
+    10: [91, 94, 95, 96],
+    20: [91, 94, 95, 96],
+    30: [91, 94, 95, 96],
+    40: [91, 94, 95, 96],
+    50: [91, 94, 95, 96],
+    60: [91, 94, 95, 96],
+    70: [91, 94, 95, 96, 97],
+    80: [91, 94, 95, 96, 97],
+    90: [91, 94, 95, 96, 97],
+    100: [91, 94, 95, 96, 97],
+    110: [91, 94, 95, 96, 97, 98],
+    120: [91, 95, 96, 97, 98],
+    130: [91, 95, 96, 97, 98],
+    140: [91, 95, 96, 97, 98],
+    150: [91, 95, 96, 97, 98],
+    160: [91, 95, 96, 97, 98, 99],
+    170: [91, 95, 96, 97, 98, 99],
+    180: [91, 96, 97, 98, 99],
+    190: [91, 96, 97, 98, 99, 100],
+    200: [91, 96, 97, 98, 99, 100],
+    210: [91, 96, 97, 98, 99, 100],
+    220: [91, 96, 97, 98, 99, 100, 101],
+    230: [91, 97, 98, 99, 100, 101],
+    240: [91, 97, 98, 99, 100, 101, 102],
+    250: [91, 97, 98, 99, 100, 101, 102, 103],
+    260: [91, 97, 98, 99, 100, 101, 102, 103],
+    270: [91, 98, 99, 100, 101, 102, 103, 104],
+    280: [91, 99, 100, 101, 102, 103, 104],
+    290: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    300: [91, 99, 100, 101, 102, 103, 104, 105, 106],
+    310: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    320: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    330: [91, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    340: [91, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    350: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    360: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    370: [91, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    380: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    390: [91, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    400: [91, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    410: [91, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    420: [91, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    430: [91, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    440: [91, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    450: [91, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  90: {
+    0: [91, 92, 93, 94],
+    10: [91, 92, 93, 94],
+    20: [91, 93, 94, 95],
+    30: [91, 92, 93, 94, 95],
+    40: [91, 92, 93, 94, 95],
+    50: [91, 93, 94, 95],
+    60: [91, 93, 94, 95],
+    70: [91, 93, 94, 95],
+    80: [91, 93, 94, 95, 96],
+    90: [91, 93, 94, 95],
+    100: [91, 93, 94, 95, 96],
+    110: [91, 93, 94, 95, 96],
+    120: [91, 93, 94, 95, 96],
+    130: [91, 93, 94, 95, 96],
+    140: [91, 93, 94, 95, 96, 97],
+    150: [91, 93, 94, 95, 96, 97],
+    160: [91, 93, 94, 95, 96, 97],
+    170: [91, 93, 94, 95, 96, 97],
+    180: [91, 94, 95, 96, 97],
+    190: [91, 94, 95, 96, 97, 98],
+    200: [91, 94, 95, 96, 97, 98],
+    210: [91, 94, 95, 96, 97, 98],
+    220: [91, 94, 95, 96, 97, 98, 99],
+    230: [91, 94, 95, 96, 97, 98, 99],
+    240: [91, 94, 95, 96, 97, 98, 99, 100],
+    250: [91, 95, 96, 97, 98, 99, 100],
+    260: [91, 95, 96, 97, 98, 99, 100],
+    270: [91, 95, 96, 97, 98, 99, 100, 101],
+    280: [91, 96, 97, 98, 99, 100, 101],
+    290: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    300: [91, 96, 97, 98, 99, 100, 101, 102, 103],
+    310: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    320: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    330: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    340: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    350: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    360: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    370: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    380: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    390: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    400: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    410: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    420: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    430: [91, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    440: [91, 128, 129, 130, 131, 132, 133, 134],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91],
+    500: [91]
+  },
+  100: {
+    0: [91, 92, 93],
+    10: [91, 92, 93],
+    20: [91, 92, 93],
+    30: [91, 92, 93, 94],
+    40: [91, 92, 93, 94],
+    50: [91, 92, 93, 94],
+    60: [91, 92, 93, 94],
+    70: [91, 92, 93, 94],
+    80: [91, 92, 93, 94],
+    90: [91, 92, 93, 94],
+    100: [91, 92, 93, 94],
+    110: [91, 92, 93, 94, 95],
+    120: [91, 92, 93, 94, 95],
+    130: [91, 92, 93, 94, 95],
+    140: [91, 92, 93, 94, 95],
+    150: [91, 92, 93, 94, 95],
+    160: [91, 92, 93, 94, 95],
+    170: [91, 92, 93, 94, 95, 96],
+    180: [91, 92, 93, 94, 95, 96],
+    190: [91, 92, 93, 94, 95, 96],
+    200: [91, 92, 93, 94, 95, 96],
+    210: [91, 92, 93, 94, 95, 96],
+    220: [91, 92, 93, 94, 95, 96, 97],
+    230: [91, 92, 93, 94, 95, 96, 97],
+    240: [91, 92, 93, 94, 95, 96, 97],
+    250: [91, 92, 93, 94, 95, 96, 97, 98],
+    260: [91, 93, 94, 95, 96, 97, 98],
+    270: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    280: [91, 93, 94, 95, 96, 97, 98, 99],
+    290: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    300: [91, 93, 94, 95, 96, 97, 98, 99, 100],
+    310: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    320: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    330: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    340: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    350: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    360: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    370: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    380: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    390: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    400: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    410: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    420: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    430: [91, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  110: {
+    0: [90, 91, 92],
+    10: [90, 91, 92],
+    20: [90, 91, 92],
+    30: [90, 91, 92],
+    40: [90, 91, 92],
+    50: [90, 91, 92],
+    60: [90, 91, 92],
+    70: [90, 91, 92, 93],
+    80: [90, 91, 92, 93],
+    90: [90, 91, 92, 93],
+    100: [90, 91, 92, 93],
+    110: [90, 91, 92, 93],
+    120: [90, 91, 92, 93],
+    130: [90, 91, 92, 93],
+    140: [90, 91, 92, 93],
+    150: [90, 91, 92, 93],
+    160: [90, 91, 92, 93],
+    170: [90, 91, 92, 93, 94],
+    180: [90, 91, 92, 93, 94],
+    190: [90, 91, 92, 93, 94],
+    200: [90, 91, 92, 93, 94],
+    210: [90, 91, 92, 93, 94],
+    220: [90, 91, 92, 93, 94, 95],
+    230: [90, 91, 92, 93, 94, 95],
+    240: [90, 91, 92, 93, 94, 95],
+    250: [90, 91, 92, 93, 94, 95],
+    260: [90, 91, 92, 93, 94, 95],
+    270: [89, 90, 91, 92, 93, 94, 95, 96],
+    280: [90, 91, 92, 93, 94, 95, 96],
+    290: [90, 91, 92, 93, 94, 95, 96, 97],
+    300: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    310: [90, 91, 92, 93, 94, 95, 96, 97],
+    320: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    330: [90, 91, 92, 93, 94, 95, 96, 97, 98],
+    340: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    350: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    360: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    370: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    380: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    390: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    400: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    410: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    420: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    430: [99, 100, 101, 102, 103, 104, 105, 106]
+  },
+  120: {
+    0: [89, 90, 91],
+    10: [89, 90, 91],
+    20: [89, 90, 91],
+    30: [89, 90, 91],
+    40: [89, 90, 91],
+    50: [89, 90, 91],
+    60: [89, 90, 91],
+    70: [89, 90, 91],
+    80: [89, 90, 91],
+    90: [89, 90, 91],
+    100: [89, 90, 91],
+    110: [88, 89, 90, 91, 92],
+    120: [88, 89, 90, 91, 92],
+    130: [88, 89, 90, 91, 92],
+    140: [88, 89, 90, 91, 92],
+    150: [88, 89, 90, 91, 92],
+    160: [88, 89, 90, 91, 92],
+    170: [88, 89, 90, 91, 92],
+    180: [88, 89, 90, 91, 92],
+    190: [88, 89, 90, 91, 92],
+    200: [88, 89, 90, 91, 92],
+    210: [88, 89, 90, 91, 92],
+    220: [87, 88, 89, 90, 91, 92, 93],
+    230: [87, 88, 89, 90, 91, 92, 93],
+    240: [87, 88, 89, 90, 91, 92, 93],
+    250: [87, 88, 89, 90, 91, 92, 93],
+    260: [88, 89, 90, 91, 92],
+    270: [87, 88, 89, 90, 91, 92, 93],
+    280: [87, 88, 89, 90, 91, 92, 93],
+    290: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    300: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    310: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    320: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    330: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    340: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    350: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    360: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    370: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    380: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    390: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    400: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    410: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    420: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103]
+  },
+  130: {
+    0: [88, 89, 90],
+    10: [88, 89, 90],
+    20: [88, 89, 90],
+    30: [88, 89, 90],
+    40: [88, 89, 90],
+    50: [88, 89, 90],
+    60: [88, 89, 90],
+    70: [87, 88, 89, 90],
+    80: [87, 88, 89, 90],
+    90: [87, 88, 89, 90],
+    100: [87, 88, 89, 90],
+    110: [87, 88, 89, 90],
+    120: [87, 88, 89, 90],
+    130: [87, 88, 89, 90],
+    140: [87, 88, 89, 90],
+    150: [87, 88, 89, 90],
+    160: [87, 88, 89, 90],
+    170: [86, 87, 88, 89, 90],
+    180: [86, 87, 88, 89, 90],
+    190: [86, 87, 88, 89, 90],
+    200: [86, 87, 88, 89, 90],
+    210: [86, 87, 88, 89, 90],
+    220: [85, 86, 87, 88, 89, 90],
+    230: [85, 86, 87, 88, 89, 90],
+    240: [85, 86, 87, 88, 89, 90],
+    250: [85, 86, 87, 88, 89, 90],
+    260: [85, 86, 87, 88, 89, 90],
+    270: [84, 85, 86, 87, 88, 89, 90, 91],
+    280: [84, 85, 86, 87, 88, 89, 90],
+    290: [83, 84, 85, 86, 87, 88, 89, 90],
+    300: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    310: [83, 84, 85, 86, 87, 88, 89, 90],
+    320: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    330: [82, 83, 84, 85, 86, 87, 88, 89, 90],
+    340: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    350: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
+    360: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    370: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    380: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    390: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    400: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    410: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    420: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    430: [74, 75, 76, 77, 78, 79, 80, 81]
+  },
+  140: {
+    0: [87, 88, 89],
+    10: [87, 88, 89],
+    20: [87, 88, 89],
+    30: [86, 87, 88, 89],
+    40: [86, 87, 88, 89],
+    50: [86, 87, 88, 89],
+    60: [86, 87, 88, 89],
+    70: [86, 87, 88, 89],
+    80: [86, 87, 88, 89],
+    90: [86, 87, 88, 89],
+    100: [86, 87, 88, 89],
+    110: [85, 86, 87, 88, 89],
+    120: [85, 86, 87, 88, 89],
+    130: [85, 86, 87, 88, 89],
+    140: [85, 86, 87, 88, 89],
+    150: [85, 86, 87, 88, 89],
+    160: [85, 86, 87, 88, 89],
+    170: [84, 85, 86, 87, 88, 89],
+    180: [84, 85, 86, 87, 88, 89],
+    190: [84, 85, 86, 87, 88, 89],
+    200: [84, 85, 86, 87, 88, 89],
+    210: [84, 85, 86, 87, 88, 89],
+    220: [83, 84, 85, 86, 87, 88, 89],
+    230: [83, 84, 85, 86, 87, 88, 89],
+    240: [83, 84, 85, 86, 87, 88, 89],
+    250: [82, 83, 84, 85, 86, 87, 88, 89],
+    260: [82, 83, 84, 85, 86, 87, 89],
+    270: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    280: [81, 82, 83, 84, 85, 86, 87, 89],
+    290: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    300: [80, 81, 82, 83, 84, 85, 86, 87, 89],
+    310: [79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    320: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    330: [78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    340: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    350: [77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    360: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    370: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    380: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    390: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    400: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    410: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    420: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    430: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  150: {
+    0: [86, 87, 88, 89],
+    10: [86, 87, 88, 89],
+    20: [85, 86, 87, 89],
+    30: [85, 86, 87, 88, 89],
+    40: [85, 86, 87, 88, 89],
+    50: [85, 86, 87, 89],
+    60: [85, 86, 87, 89],
+    70: [85, 86, 87, 89],
+    80: [84, 85, 86, 87, 89],
+    90: [85, 86, 87, 89],
+    100: [84, 85, 86, 87, 89],
+    110: [84, 85, 86, 87, 89],
+    120: [84, 85, 86, 87, 89],
+    130: [84, 85, 86, 87, 89],
+    140: [83, 84, 85, 86, 87, 89],
+    150: [83, 84, 85, 86, 87, 89],
+    160: [83, 84, 85, 86, 87, 89],
+    170: [83, 84, 85, 86, 87, 89],
+    180: [83, 84, 85, 86, 89],
+    190: [82, 83, 84, 85, 86, 89],
+    200: [82, 83, 84, 85, 86, 89],
+    210: [82, 83, 84, 85, 86, 89],
+    220: [81, 82, 83, 84, 85, 86, 89],
+    230: [81, 82, 83, 84, 85, 86, 89],
+    240: [80, 81, 82, 83, 84, 85, 86, 89],
+    250: [80, 81, 82, 83, 84, 85, 89],
+    260: [80, 81, 82, 83, 84, 85, 89],
+    270: [79, 80, 81, 82, 83, 84, 85, 89],
+    280: [79, 80, 81, 82, 83, 84, 89],
+    290: [77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    300: [77, 78, 79, 80, 81, 82, 83, 84, 89],
+    310: [76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    320: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    330: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    340: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    350: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    360: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    370: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    380: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    390: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    400: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    410: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    420: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    430: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 89],
+    440: [46, 47, 48, 49, 50, 51, 52, 89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89],
+    500: [89]
+  },
+  160: {
+    0: [84, 85, 86, 87, 89],
+    10: [84, 85, 86, 89],
+    20: [84, 85, 86, 89],
+    30: [84, 85, 86, 89],
+    40: [84, 85, 86, 89],
+    50: [84, 85, 86, 89],
+    60: [84, 85, 86, 89],
+    70: [83, 84, 85, 86, 89],
+    80: [83, 84, 85, 86, 89],
+    90: [83, 84, 85, 86, 89],
+    100: [83, 84, 85, 86, 89],
+    110: [82, 83, 84, 85, 86, 89],
+    120: [82, 83, 84, 85, 89],
+    130: [82, 83, 84, 85, 89],
+    140: [82, 83, 84, 85, 89],
+    150: [82, 83, 84, 85, 89],
+    160: [81, 82, 83, 84, 85, 89],
+    170: [81, 82, 83, 84, 85, 89],
+    180: [81, 82, 83, 84, 89],
+    190: [80, 81, 82, 83, 84, 89],
+    200: [80, 81, 82, 83, 84, 89],
+    210: [80, 81, 82, 83, 84, 89],
+    220: [79, 80, 81, 82, 83, 84, 89],
+    230: [79, 80, 81, 82, 83, 89],
+    240: [78, 79, 80, 81, 82, 83, 89],
+    250: [77, 78, 79, 80, 81, 82, 83, 89],
+    260: [77, 78, 79, 80, 81, 82, 83, 89],
+    270: [76, 77, 78, 79, 80, 81, 82, 89],
+    280: [76, 77, 78, 79, 80, 81, 89],
+    290: [74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    300: [74, 75, 76, 77, 78, 79, 80, 81, 89],
+    310: [73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    320: [72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    330: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 89],
+    340: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 89],
+    350: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    360: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    370: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 89],
+    380: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    390: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 89],
+    400: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 89],
+    410: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 89],
+    420: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 89],
+    430: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 89],
+    440: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 89],
+    450: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  170: {
+    0: [83, 84, 85, 88],
+    10: [83, 84, 85, 88],
+    20: [83, 84, 85, 88],
+    30: [83, 84, 85, 88],
+    40: [83, 84, 85, 88],
+    50: [83, 84, 85, 88],
+    60: [82, 83, 84, 85, 88],
+    70: [82, 83, 84, 85, 88],
+    80: [82, 83, 84, 85, 88],
+    90: [82, 83, 84, 88],
+    100: [81, 82, 83, 84, 88],
+    110: [81, 82, 83, 84, 88],
+    120: [81, 82, 83, 84, 88],
+    130: [80, 81, 82, 83, 84, 88],
+    140: [80, 81, 82, 83, 84, 88],
+    150: [80, 81, 82, 83],
+    160: [79, 80, 81, 82, 83, 88],
+    170: [79, 80, 81, 82, 83, 88],
+    180: [79, 80, 81, 82, 83],
+    190: [78, 79, 80, 81, 82, 83],
+    200: [78, 79, 80, 81, 82],
+    210: [77, 78, 79, 80, 81, 82],
+    220: [77, 78, 79, 80, 81, 82],
+    230: [77, 78, 79, 80, 81],
+    240: [76, 77, 78, 79, 80, 81],
+    250: [75, 76, 77, 78, 79, 80],
+    260: [74, 75, 76, 77, 78, 79, 80],
+    270: [74, 75, 76, 77, 78, 79, 80],
+    280: [73, 74, 75, 76, 77, 78, 79],
+    290: [72, 73, 74, 75, 76, 77, 78, 79],
+    300: [71, 72, 73, 74, 75, 76, 77],
+    310: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
+    320: [69, 70, 71, 72, 73, 74, 75, 76],
+    330: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
+    340: [66, 67, 68, 69, 70, 71, 72, 73, 74],
+    350: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
+    360: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
+    370: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
+    380: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    390: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    400: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    410: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    420: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    440: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    450: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [348, 349, 350, 351, 352, 353, 354, 355]
+  },
+  180: {
+    0: [82, 83, 84, 88],
+    10: [82, 83, 84, 88],
+    20: [82, 83, 84, 88],
+    30: [82, 83, 84, 88],
+    40: [81, 82, 83, 84, 88],
+    50: [81, 82, 83, 84, 88],
+    60: [81, 82, 83, 84, 88],
+    70: [81, 82, 83, 88],
+    80: [81, 82, 83, 88],
+    90: [80, 81, 82, 83, 88],
+    100: [80, 81, 82, 83, 88],
+    110: [80, 81, 82, 83, 88],
+    120: [79, 80, 81, 82, 88],
+    130: [79, 80, 81, 82, 88],
+    140: [79, 80, 81, 82, 88],
+    150: [78, 79, 80, 81, 82, 88],
+    160: [78, 79, 80, 81, 82, 88],
+    170: [77, 78, 79, 80, 81, 88],
+    180: [77, 78, 79, 80, 81, 88],
+    190: [76, 77, 78, 79, 80, 81, 88],
+    200: [76, 77, 78, 79, 80, 88],
+    210: [75, 76, 77, 78, 79, 80, 88],
+    220: [75, 76, 77, 78, 79, 88],
+    230: [74, 75, 76, 77, 78, 79, 88],
+    240: [73, 74, 75, 76, 77, 78, 79, 88],
+    250: [73, 74, 75, 76, 77, 78, 88],
+    260: [72, 73, 74, 75, 76, 77, 78, 88],
+    270: [71, 72, 73, 74, 75, 76, 77, 88],
+    280: [70, 71, 72, 73, 74, 75, 76, 77, 88],
+    290: [69, 70, 71, 72, 73, 74, 75, 76, 88],
+    300: [68, 69, 70, 71, 72, 73, 74, 75, 88],
+    310: [66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    320: [65, 66, 67, 68, 69, 70, 71, 72, 73, 88],
+    330: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 88],
+    340: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 88],
+    350: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    360: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88],
+    370: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 88],
+    380: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    390: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    400: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 88],
+    410: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 88],
+    420: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 88],
+    430: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 88],
+    440: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 88],
+    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 88],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 88, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [88, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [88, 348, 349]
+  },
+  190: {
+    0: [81, 82, 83, 88],
+    10: [81, 82, 83, 88],
+    20: [81, 82, 83, 88],
+    30: [80, 81, 82, 83, 88],
+    40: [80, 81, 82, 83, 88],
+    50: [80, 81, 82, 88],
+    60: [80, 81, 82, 88],
+    70: [79, 80, 81, 82, 88],
+    80: [79, 80, 81, 82, 88],
+    90: [79, 80, 81, 82, 88],
+    100: [78, 79, 80, 81, 88],
+    110: [78, 79, 80, 81, 88],
+    120: [78, 79, 80, 81, 88],
+    130: [77, 78, 79, 80, 81, 88],
+    140: [77, 78, 79, 80, 88],
+    150: [77, 78, 79, 80, 88],
+    160: [76, 77, 78, 79, 80, 88],
+    170: [76, 77, 78, 79, 88],
+    180: [75, 76, 77, 78, 79, 88],
+    190: [75, 76, 77, 78, 79, 88],
+    200: [74, 75, 76, 77, 78, 88],
+    210: [73, 74, 75, 76, 77, 78, 88],
+    220: [73, 74, 75, 76, 77, 88],
+    230: [72, 73, 74, 75, 76, 77, 88],
+    240: [71, 72, 73, 74, 75, 76, 88],
+    250: [71, 72, 73, 74, 75, 76, 88],
+    260: [69, 70, 71, 72, 73, 74, 75, 88],
+    270: [69, 70, 71, 72, 73, 74, 88],
+    280: [67, 68, 69, 70, 71, 72, 73, 74, 88],
+    290: [67, 68, 69, 70, 71, 72, 88],
+    300: [65, 66, 67, 68, 69, 70, 71, 72, 88],
+    310: [64, 65, 66, 67, 68, 69, 70, 71, 88],
+    320: [62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    330: [61, 62, 63, 64, 65, 66, 67, 68, 88],
+    340: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88],
+    350: [57, 58, 59, 60, 61, 62, 63, 64, 65, 88],
+    360: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    370: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 88],
+    380: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 88],
+    390: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 88],
+    400: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 88],
+    410: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 88],
+    420: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 88],
+    430: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 88],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 88],
+    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 88],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 88, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 88, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [88, 348, 349, 350, 351, 352, 353, 354, 355, 356],
+    500: [88]
+  },
+  200: {
+    0: [80, 81, 82, 87],
+    10: [80, 81, 82, 87],
+    20: [80, 81, 82, 87],
+    30: [79, 80, 81, 82, 87],
+    40: [79, 80, 81],
+    50: [79, 80, 81],
+    60: [78, 79, 80, 81],
+    70: [78, 79, 80, 81],
+    80: [78, 79, 80],
+    90: [77, 78, 79, 80],
+    100: [77, 78, 79, 80],
+    110: [77, 78, 79, 80],
+    120: [76, 77, 78, 79],
+    130: [76, 77, 78, 79],
+    140: [76, 77, 78, 79],
+    150: [75, 76, 77, 78, 79],
+    160: [75, 76, 77, 78],
+    170: [74, 75, 76, 77, 78],
+    180: [73, 74, 75, 76, 77],
+    190: [73, 74, 75, 76, 77],
+    200: [72, 73, 74, 75, 76],
+    210: [71, 72, 73, 74, 75, 76],
+    220: [71, 72, 73, 74, 75],
+    230: [70, 71, 72, 73, 74, 75],
+    240: [69, 70, 71, 72, 73, 74],
+    250: [68, 69, 70, 71, 72, 73, 74],
+    260: [67, 68, 69, 70, 71, 72, 73],
+    270: [66, 67, 68, 69, 70, 71, 72],
+    280: [65, 66, 67, 68, 69, 70, 71],
+    290: [64, 65, 66, 67, 68, 69, 70],
+    300: [62, 63, 64, 65, 66, 67, 68, 69],
+    310: [61, 62, 63, 64, 65, 66, 67, 68],
+    320: [59, 60, 61, 62, 63, 64, 65, 66, 67],
+    330: [58, 59, 60, 61, 62, 63, 64, 65],
+    340: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    350: [54, 55, 56, 57, 58, 59, 60, 61, 62],
+    360: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    370: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    380: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    390: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    400: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    410: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    420: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    430: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
+    440: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [351, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [351, 352]
+  },
+  210: {
+    0: [79, 80, 81, 87],
+    10: [79, 80, 81, 87],
+    20: [78, 79, 80, 81, 87],
+    30: [78, 79, 80, 87],
+    40: [78, 79, 80, 87],
+    50: [78, 79, 80, 87],
+    60: [77, 78, 79, 80, 87],
+    70: [77, 78, 79, 87],
+    80: [77, 78, 79, 87],
+    90: [76, 77, 78, 79, 87],
+    100: [76, 77, 78, 79, 87],
+    110: [75, 76, 77, 78, 87],
+    120: [75, 76, 77, 78, 87],
+    130: [75, 76, 77, 78, 87],
+    140: [74, 75, 76, 77, 87],
+    150: [73, 74, 75, 76, 77, 87],
+    160: [73, 74, 75, 76, 87],
+    170: [72, 73, 74, 75, 76, 87],
+    180: [72, 73, 74, 75, 76, 87],
+    190: [71, 72, 73, 74, 75, 87],
+    200: [70, 71, 72, 73, 74, 75, 87],
+    210: [70, 71, 72, 73, 74, 87],
+    220: [69, 70, 71, 72, 73, 87],
+    230: [68, 69, 70, 71, 72, 73, 87],
+    240: [67, 68, 69, 70, 71, 72, 87],
+    250: [66, 67, 68, 69, 70, 71, 87],
+    260: [66, 67, 68, 69, 70, 87],
+    270: [64, 65, 66, 67, 68, 69, 70, 87],
+    280: [63, 64, 65, 66, 67, 68, 87],
+    290: [61, 62, 63, 64, 65, 66, 67, 68, 87],
+    300: [60, 61, 62, 63, 64, 65, 66, 87],
+    310: [58, 59, 60, 61, 62, 63, 64, 65, 66, 87],
+    320: [57, 58, 59, 60, 61, 62, 63, 64, 87],
+    330: [55, 56, 57, 58, 59, 60, 61, 62, 63, 87],
+    340: [53, 54, 55, 56, 57, 58, 59, 60, 87],
+    350: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
+    360: [49, 50, 51, 52, 53, 54, 55, 56, 87],
+    370: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 87],
+    380: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 87],
+    390: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 87],
+    400: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 87],
+    410: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 87],
+    420: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 87],
+    430: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 87],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 87],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 87],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 87, 357, 358, 359],
+    480: [0, 1, 2, 3, 87, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [87, 351, 352, 353, 354, 355, 356, 357]
+  },
+  220: {
+    0: [78, 79, 80, 87],
+    10: [78, 79, 80, 87],
+    20: [77, 78, 79, 87],
+    30: [77, 78, 79, 87],
+    40: [77, 78, 79, 87],
+    50: [76, 77, 78, 79, 87],
+    60: [76, 77, 78, 87],
+    70: [76, 77, 78, 87],
+    80: [75, 76, 77, 78, 87],
+    90: [75, 76, 77, 78, 87],
+    100: [75, 76, 77, 87],
+    110: [74, 75, 76, 77, 87],
+    120: [73, 74, 75, 76, 77, 87],
+    130: [73, 74, 75, 76, 87],
+    140: [72, 73, 74, 75, 76, 87],
+    150: [72, 73, 74, 75, 87],
+    160: [72, 73, 74, 75, 87],
+    170: [71, 72, 73, 74, 87],
+    180: [70, 71, 72, 73, 74, 87],
+    190: [69, 70, 71, 72, 73, 87],
+    200: [69, 70, 71, 72, 73, 87],
+    210: [68, 69, 70, 71, 72, 87],
+    220: [67, 68, 69, 70, 71, 72, 87],
+    230: [66, 67, 68, 69, 70, 71, 87],
+    240: [65, 66, 67, 68, 69, 70, 87],
+    250: [64, 65, 66, 67, 68, 69, 87],
+    260: [63, 64, 65, 66, 67, 68, 87],
+    270: [62, 63, 64, 65, 66, 67, 87],
+    280: [61, 62, 63, 64, 65, 66, 87],
+    290: [59, 60, 61, 62, 63, 64, 65, 87],
+    300: [58, 59, 60, 61, 62, 63, 64, 87],
+    310: [56, 57, 58, 59, 60, 61, 62, 63, 87],
+    320: [54, 55, 56, 57, 58, 59, 60, 61, 87],
+    330: [52, 53, 54, 55, 56, 57, 58, 59, 60, 87],
+    340: [50, 51, 52, 53, 54, 55, 56, 57, 58, 87],
+    350: [48, 49, 50, 51, 52, 53, 54, 55, 56, 87],
+    360: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 87],
+    370: [43, 44, 45, 46, 47, 48, 49, 50, 51, 87],
+    380: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 87],
+    390: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 87],
+    400: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 87],
+    410: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 87],
+    420: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 87],
+    430: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 87],
+    440: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 87],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 87],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 87, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 87, 353, 354, 355, 356, 357, 358, 359],
+    490: [87, 353, 354, 355, 356, 357, 358, 359],
+    500: [353]
+  },
+  230: {
+    0: [77, 78, 79],
+    10: [77, 78, 79],
+    20: [76, 77, 78],
+    30: [76, 77, 78],
+    40: [76, 77, 78],
+    50: [75, 76, 77, 78],
+    60: [75, 76, 77],
+    70: [74, 75, 76, 77],
+    80: [74, 75, 76, 77],
+    90: [74, 75, 76],
+    100: [73, 74, 75, 76],
+    110: [73, 74, 75, 76],
+    120: [72, 73, 74, 75],
+    130: [72, 73, 74, 75],
+    140: [71, 72, 73, 74],
+    150: [71, 72, 73, 74],
+    160: [70, 71, 72, 73],
+    170: [69, 70, 71, 72, 73],
+    180: [69, 70, 71, 72],
+    190: [68, 69, 70, 71, 72],
+    200: [67, 68, 69, 70, 71, 87],
+    210: [66, 67, 68, 69, 70, 87],
+    220: [65, 66, 67, 68, 69, 70, 87],
+    230: [64, 65, 66, 67, 68, 69, 87],
+    240: [63, 64, 65, 66, 67, 68, 87],
+    250: [63, 64, 65, 66, 67, 87],
+    260: [61, 62, 63, 64, 65, 66, 87],
+    270: [60, 61, 62, 63, 64, 65, 87],
+    280: [58, 59, 60, 61, 62, 63, 64, 87],
+    290: [57, 58, 59, 60, 61, 62, 87],
+    300: [55, 56, 57, 58, 59, 60, 61, 62, 87],
+    310: [54, 55, 56, 57, 58, 59, 60, 87],
+    320: [52, 53, 54, 55, 56, 57, 58, 59, 87],
+    330: [51, 52, 53, 54, 55, 56, 87],
+    340: [47, 48, 49, 50, 51, 52, 53, 54, 55, 87],
+    350: [46, 47, 48, 49, 50, 51, 52, 53, 87],
+    360: [43, 44, 45, 46, 47, 48, 49, 50, 51, 87],
+    370: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 87],
+    380: [38, 39, 40, 41, 42, 43, 44, 45, 87],
+    390: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 87],
+    400: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 87],
+    410: [27, 28, 29, 30, 31, 32, 33, 34, 35, 87],
+    420: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 87],
+    430: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 87],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 87],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 87],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 87, 358, 359],
+    480: [0, 1, 2, 3, 87, 354, 355, 356, 357, 358, 359],
+    490: [353, 354, 355, 356, 357, 358]
+  },
+  240: {
+    0: [76, 77, 78, 86],
+    10: [76, 77, 86],
+    20: [75, 76, 77, 86],
+    30: [75, 76, 77, 86],
+    40: [74, 75, 76, 77, 86],
+    50: [74, 75, 76, 86],
+    60: [74, 75, 76, 86],
+    70: [73, 74, 75, 76, 86],
+    80: [73, 74, 75, 86],
+    90: [72, 73, 74, 75, 86],
+    100: [72, 73, 74, 75, 86],
+    110: [71, 72, 73, 74, 86],
+    120: [71, 72, 73, 74, 86],
+    130: [70, 71, 72, 73, 86],
+    140: [70, 71, 72, 73, 86],
+    150: [69, 70, 71, 72, 86],
+    160: [68, 69, 70, 71, 72, 86],
+    170: [68, 69, 70, 71, 86],
+    180: [67, 68, 69, 70, 71, 86],
+    190: [66, 67, 68, 69, 70, 86],
+    200: [66, 67, 68, 69, 86],
+    210: [64, 65, 66, 67, 68, 69, 86],
+    220: [64, 65, 66, 67, 86],
+    230: [62, 63, 64, 65, 66, 67, 86],
+    240: [62, 63, 64, 65, 66, 86],
+    250: [60, 61, 62, 63, 64, 65, 86],
+    260: [59, 60, 61, 62, 63, 64, 86],
+    270: [58, 59, 60, 61, 62, 63, 86],
+    280: [56, 57, 58, 59, 60, 61, 62, 86],
+    290: [55, 56, 57, 58, 59, 60, 61, 86],
+    300: [53, 54, 55, 56, 57, 58, 59, 86],
+    310: [52, 53, 54, 55, 56, 57, 58, 86],
+    320: [50, 51, 52, 53, 54, 55, 56, 86],
+    330: [47, 48, 49, 50, 51, 52, 53, 54, 55, 86],
+    340: [46, 47, 48, 49, 50, 51, 52, 86],
+    350: [43, 44, 45, 46, 47, 48, 49, 50, 51, 86],
+    360: [41, 42, 43, 44, 45, 46, 47, 48, 86],
+    370: [38, 39, 40, 41, 42, 43, 44, 45, 46, 86],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 86],
+    390: [32, 33, 34, 35, 36, 37, 38, 39, 40, 86],
+    400: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 86],
+    410: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 86],
+    420: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 86],
+    430: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 86],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 86],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 86],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 86, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 86, 355, 356, 357, 358, 359],
+    490: [86, 355, 356, 357, 358, 359],
+    500: [355]
+  },
+  250: {
+    0: [75, 76, 77, 86],
+    10: [75, 76, 86],
+    20: [74, 75, 76, 86],
+    30: [74, 75, 76, 86],
+    40: [73, 74, 75, 76, 86],
+    50: [73, 74, 75, 86],
+    60: [72, 73, 74, 75, 86],
+    70: [72, 73, 74, 75, 86],
+    80: [72, 73, 74, 86],
+    90: [71, 72, 73, 74, 86],
+    100: [70, 71, 72, 73, 86],
+    110: [70, 71, 72, 73, 86],
+    120: [69, 70, 71, 72, 86],
+    130: [69, 70, 71, 72, 86],
+    140: [68, 69, 70, 71, 86],
+    150: [68, 69, 70, 71, 86],
+    160: [67, 68, 69, 70, 86],
+    170: [66, 67, 68, 69, 70, 86],
+    180: [65, 66, 67, 68, 69, 86],
+    190: [65, 66, 67, 68, 86],
+    200: [64, 65, 66, 67, 68, 86],
+    210: [63, 64, 65, 66, 67, 86],
+    220: [62, 63, 64, 65, 66, 86],
+    230: [61, 62, 63, 64, 65, 86],
+    240: [60, 61, 62, 63, 64, 86],
+    250: [58, 59, 60, 61, 62, 63, 86],
+    260: [58, 59, 60, 61, 62, 86],
+    270: [56, 57, 58, 59, 60, 61, 86],
+    280: [55, 56, 57, 58, 59, 60, 86],
+    290: [53, 54, 55, 56, 57, 58, 59, 86],
+    300: [52, 53, 54, 55, 56, 57, 86],
+    310: [49, 50, 51, 52, 53, 54, 55, 56, 86],
+    320: [48, 49, 50, 51, 52, 53, 54, 86],
+    330: [45, 46, 47, 48, 49, 50, 51, 52, 86],
+    340: [43, 44, 45, 46, 47, 48, 49, 50, 86],
+    350: [41, 42, 43, 44, 45, 46, 47, 48, 86],
+    360: [38, 39, 40, 41, 42, 43, 44, 45, 46, 86],
+    370: [36, 37, 38, 39, 40, 41, 42, 43, 86],
+    380: [33, 34, 35, 36, 37, 38, 39, 40, 41, 86],
+    390: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 86],
+    400: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 86],
+    410: [23, 24, 25, 26, 27, 28, 29, 30, 31, 86],
+    420: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 86],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 86],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 86],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 86],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 86, 358, 359],
+    480: [0, 1, 2, 3, 86, 355, 356, 357, 358, 359],
+    490: [86, 355, 356, 357, 358, 359]
+  },
+  260: {
+    0: [74, 75, 76],
+    10: [73, 74, 75],
+    20: [73, 74, 75],
+    30: [73, 74, 75],
+    40: [72, 73, 74],
+    50: [72, 73, 74],
+    60: [71, 72, 73, 74],
+    70: [71, 72, 73],
+    80: [70, 71, 72, 73],
+    90: [70, 71, 72, 86],
+    100: [69, 70, 71, 72, 86],
+    110: [69, 70, 71, 86],
+    120: [68, 69, 70, 71, 86],
+    130: [68, 69, 70, 86],
+    140: [67, 68, 69, 70, 86],
+    150: [66, 67, 68, 69, 86],
+    160: [66, 67, 68, 69, 86],
+    170: [65, 66, 67, 68, 86],
+    180: [64, 65, 66, 67, 86],
+    190: [63, 64, 65, 66, 67, 86],
+    200: [62, 63, 64, 65, 66, 86],
+    210: [61, 62, 63, 64, 65, 86],
+    220: [60, 61, 62, 63, 64, 86],
+    230: [59, 60, 61, 62, 63, 86],
+    240: [58, 59, 60, 61, 62, 63, 86],
+    250: [57, 58, 59, 60, 61, 86],
+    260: [55, 56, 57, 58, 59, 60, 86],
+    270: [54, 55, 56, 57, 58, 59, 86],
+    280: [53, 54, 55, 56, 57, 58, 86],
+    290: [51, 52, 53, 54, 55, 56, 86],
+    300: [49, 50, 51, 52, 53, 54, 55, 86],
+    310: [48, 49, 50, 51, 52, 53, 86],
+    320: [45, 46, 47, 48, 49, 50, 51, 52, 86],
+    330: [44, 45, 46, 47, 48, 49, 50, 86],
+    340: [41, 42, 43, 44, 45, 46, 47, 48, 86],
+    350: [39, 40, 41, 42, 43, 44, 45, 46, 86],
+    360: [37, 38, 39, 40, 41, 42, 43, 86],
+    370: [34, 35, 36, 37, 38, 39, 40, 41, 42, 86],
+    380: [31, 32, 33, 34, 35, 36, 37, 38, 39, 86],
+    390: [29, 30, 31, 32, 33, 34, 35, 86],
+    400: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 86],
+    410: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 86],
+    420: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 86],
+    430: [15, 16, 17, 18, 19, 20, 21, 22, 86],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 86],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 86],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 86, 358, 359],
+    480: [0, 1, 2, 3, 4, 86, 356, 357, 358, 359],
+    490: [0, 86, 356, 357, 358, 359]
+  },
+  270: {
+    0: [73, 74, 75, 85],
+    10: [72, 73, 74, 85],
+    20: [72, 73, 74, 85],
+    30: [72, 73, 74, 85],
+    40: [71, 72, 73, 85],
+    50: [71, 72, 73, 85],
+    60: [70, 71, 72, 85],
+    70: [70, 71, 72, 85],
+    80: [69, 70, 71, 72, 85],
+    90: [69, 70, 71, 85],
+    100: [68, 69, 70, 71, 85],
+    110: [67, 68, 69, 70, 85],
+    120: [67, 68, 69, 70, 85],
+    130: [66, 67, 68, 69, 85],
+    140: [65, 66, 67, 68, 69, 85],
+    150: [65, 66, 67, 68, 85],
+    160: [64, 65, 66, 67, 85],
+    170: [63, 64, 65, 66, 67, 85],
+    180: [63, 64, 65, 66, 85],
+    190: [61, 62, 63, 64, 65, 85],
+    200: [61, 62, 63, 64, 85],
+    210: [60, 61, 62, 63, 64, 85],
+    220: [59, 60, 61, 62, 63, 85],
+    230: [57, 58, 59, 60, 61, 62, 85],
+    240: [56, 57, 58, 59, 60, 61, 85],
+    250: [55, 56, 57, 58, 59, 60, 85],
+    260: [54, 55, 56, 57, 58, 85],
+    270: [52, 53, 54, 55, 56, 57, 85],
+    280: [51, 52, 53, 54, 55, 56, 85],
+    290: [49, 50, 51, 52, 53, 54, 55, 85],
+    300: [48, 49, 50, 51, 52, 53, 85],
+    310: [46, 47, 48, 49, 50, 51, 52, 85],
+    320: [44, 45, 46, 47, 48, 49, 85],
+    330: [42, 43, 44, 45, 46, 47, 48, 85],
+    340: [40, 41, 42, 43, 44, 45, 46, 85],
+    350: [37, 38, 39, 40, 41, 42, 43, 44, 85],
+    360: [35, 36, 37, 38, 39, 40, 41, 42, 85],
+    370: [33, 34, 35, 36, 37, 38, 39, 85],
+    380: [29, 30, 31, 32, 33, 34, 35, 36, 37, 85],
+    390: [26, 27, 28, 29, 30, 31, 32, 33, 34, 85],
+    400: [24, 25, 26, 27, 28, 29, 30, 31, 85],
+    410: [21, 22, 23, 24, 25, 26, 27, 28, 85],
+    420: [17, 18, 19, 20, 21, 22, 23, 24, 25],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 358, 359],
+    480: [0, 1, 2, 3, 357, 358, 359],
+    490: [356, 357, 358, 359]
+  },
+  280: {
+    0: [72, 73, 74, 85],
+    10: [71, 72, 73, 85],
+    20: [71, 72, 73, 85],
+    30: [71, 72, 73, 85],
+    40: [70, 71, 72, 85],
+    50: [70, 71, 72, 85],
+    60: [69, 70, 71, 85],
+    70: [69, 70, 71, 85],
+    80: [68, 69, 70, 85],
+    90: [68, 69, 70, 85],
+    100: [67, 68, 69, 70, 85],
+    110: [66, 67, 68, 69, 85],
+    120: [66, 67, 68, 85],
+    130: [65, 66, 67, 68, 85],
+    140: [64, 65, 66, 67, 85],
+    150: [64, 65, 66, 67, 85],
+    160: [63, 64, 65, 66, 85],
+    170: [62, 63, 64, 65, 85],
+    180: [61, 62, 63, 64, 85],
+    190: [60, 61, 62, 63, 64, 85],
+    200: [59, 60, 61, 62, 63, 85],
+    210: [58, 59, 60, 61, 62, 85],
+    220: [57, 58, 59, 60, 61, 85],
+    230: [56, 57, 58, 59, 60, 85],
+    240: [55, 56, 57, 58, 59, 85],
+    250: [53, 54, 55, 56, 57, 58, 85],
+    260: [53, 54, 55, 56, 85],
+    270: [51, 52, 53, 54, 55, 56, 85],
+    280: [50, 51, 52, 53, 54, 85],
+    290: [47, 48, 49, 50, 51, 52, 53, 85],
+    300: [46, 47, 48, 49, 50, 51, 85],
+    310: [44, 45, 46, 47, 48, 49, 50, 85],
+    320: [42, 43, 44, 45, 46, 47, 48, 85],
+    330: [40, 41, 42, 43, 44, 45, 46, 85],
+    340: [38, 39, 40, 41, 42, 43, 44, 85],
+    350: [36, 37, 38, 39, 40, 41, 42, 85],
+    360: [33, 34, 35, 36, 37, 38, 39, 40, 85],
+    370: [31, 32, 33, 34, 35, 36, 37, 38, 85],
+    380: [28, 29, 30, 31, 32, 33, 34, 35, 85],
+    390: [26, 27, 28, 29, 30, 31, 32, 85],
+    400: [22, 23, 24, 25, 26, 27, 28, 29, 30, 85],
+    410: [19, 20, 21, 22, 23, 24, 25, 26, 27, 85],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 24, 85],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 85],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 85],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 85],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 85, 358, 359],
+    480: [0, 1, 2, 3, 85, 357, 358, 359],
+    490: [0, 85, 357, 358, 359]
+  },
+  290: {
+    0: [71, 72, 73],
+    10: [71, 72],
+    20: [70, 71, 72],
+    30: [69, 70, 71, 72],
+    40: [69, 70, 71, 85],
+    50: [69, 70, 71, 85],
+    60: [68, 69, 70, 85],
+    70: [67, 68, 69, 70, 85],
+    80: [67, 68, 69, 85],
+    90: [66, 67, 68, 69, 85],
+    100: [66, 67, 68, 85],
+    110: [65, 66, 67, 68, 85],
+    120: [64, 65, 66, 67, 85],
+    130: [64, 65, 66, 67, 85],
+    140: [63, 64, 65, 66, 85],
+    150: [62, 63, 64, 65, 85],
+    160: [61, 62, 63, 64, 85],
+    170: [61, 62, 63, 64, 85],
+    180: [60, 61, 62, 63, 85],
+    190: [59, 60, 61, 62, 85],
+    200: [58, 59, 60, 61, 85],
+    210: [57, 58, 59, 60, 85],
+    220: [55, 56, 57, 58, 59, 60, 85],
+    230: [55, 56, 57, 58, 85],
+    240: [53, 54, 55, 56, 57, 85],
+    250: [52, 53, 54, 55, 56, 85],
+    260: [50, 51, 52, 53, 54, 55, 85],
+    270: [49, 50, 51, 52, 53, 85],
+    280: [48, 49, 50, 51, 52, 53, 85],
+    290: [46, 47, 48, 49, 50, 51, 85],
+    300: [44, 45, 46, 47, 48, 49, 50, 85],
+    310: [43, 44, 45, 46, 47, 48, 85],
+    320: [41, 42, 43, 44, 45, 46, 85],
+    330: [39, 40, 41, 42, 43, 44, 45, 85],
+    340: [37, 38, 39, 40, 41, 42, 85],
+    350: [34, 35, 36, 37, 38, 39, 40, 41, 85],
+    360: [32, 33, 34, 35, 36, 37, 38, 85],
+    370: [30, 31, 32, 33, 34, 35, 85],
+    380: [27, 28, 29, 30, 31, 32, 33, 34, 85],
+    390: [24, 25, 26, 27, 28, 29, 30, 31, 85],
+    400: [21, 22, 23, 24, 25, 26, 27, 28, 85],
+    410: [19, 20, 21, 22, 23, 24, 25, 85],
+    420: [15, 16, 17, 18, 19, 20, 21, 22, 23, 85],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 20, 85],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 85],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 85],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 85, 359],
+    480: [0, 1, 2, 3, 85, 357, 358, 359],
+    490: [0, 85, 357, 358, 359],
+    500: [357]
+  },
+  300: {
+    0: [70, 71, 72, 84],
+    10: [69, 70, 71, 84],
+    20: [69, 70, 71, 84],
+    30: [68, 69, 70, 71, 84],
+    40: [68, 69, 70, 84],
+    50: [67, 68, 69, 70, 84],
+    60: [67, 68, 69, 84],
+    70: [66, 67, 68, 69, 84],
+    80: [66, 67, 68, 84],
+    90: [65, 66, 67, 68, 84],
+    100: [65, 66, 67, 84],
+    110: [64, 65, 66, 67, 84],
+    120: [63, 64, 65, 66, 84],
+    130: [63, 64, 65, 84],
+    140: [62, 63, 64, 65, 84],
+    150: [61, 62, 63, 64, 84],
+    160: [60, 61, 62, 63, 84],
+    170: [59, 60, 61, 62, 84],
+    180: [58, 59, 60, 61, 84],
+    190: [57, 58, 59, 60, 61, 84],
+    200: [56, 57, 58, 59, 60, 84],
+    210: [55, 56, 57, 58, 59, 84],
+    220: [54, 55, 56, 57, 58, 84],
+    230: [53, 54, 55, 56, 57, 84],
+    240: [52, 53, 54, 55, 56, 84],
+    250: [51, 52, 53, 54, 55, 84],
+    260: [49, 50, 51, 52, 53, 84],
+    270: [48, 49, 50, 51, 52, 84],
+    280: [46, 47, 48, 49, 50, 51, 84],
+    290: [44, 45, 46, 47, 48, 49, 50],
+    300: [43, 44, 45, 46, 47],
+    310: [41, 42, 43, 44, 45, 46],
+    320: [39, 40, 41, 42, 43, 44],
+    330: [37, 38, 39, 40, 41, 42, 43],
+    340: [35, 36, 37, 38, 39, 40, 41],
+    350: [33, 34, 35, 36, 37, 38, 39],
+    360: [31, 32, 33, 34, 35, 36, 37],
+    370: [28, 29, 30, 31, 32, 33, 34, 35],
+    380: [26, 27, 28, 29, 30, 31, 32],
+    390: [23, 24, 25, 26, 27, 28, 29],
+    400: [20, 21, 22, 23, 24, 25, 26, 27],
+    410: [17, 18, 19, 20, 21, 22, 23, 24, 25],
+    420: [15, 16, 17, 18, 19, 20, 21, 22],
+    430: [12, 13, 14, 15, 16, 17, 18],
+    440: [9, 10, 11, 12, 13, 14, 15],
+    450: [6, 7, 8, 9, 10, 11, 12],
+    460: [2, 3, 4, 5, 6, 7, 8, 9],
+    470: [0, 1, 2, 3, 4, 5, 6, 359],
+    480: [0, 1, 2, 3, 357, 358, 359],
+    490: [0, 357, 358, 359]
+  },
+  310: {
+    0: [69, 70, 71, 84],
+    10: [68, 69, 70, 84],
+    20: [68, 69, 70, 84],
+    30: [68, 69, 84],
+    40: [67, 68, 69, 84],
+    50: [66, 67, 68, 69, 84],
+    60: [66, 67, 68, 84],
+    70: [65, 66, 67, 68, 84],
+    80: [65, 66, 67, 84],
+    90: [64, 65, 66, 84],
+    100: [63, 64, 65, 66, 84],
+    110: [63, 64, 65, 84],
+    120: [62, 63, 64, 65, 84],
+    130: [61, 62, 63, 64, 84],
+    140: [60, 61, 62, 63, 84],
+    150: [60, 61, 62, 63, 84],
+    160: [59, 60, 61, 62, 84],
+    170: [58, 59, 60, 61, 84],
+    180: [57, 58, 59, 60, 84],
+    190: [56, 57, 58, 59, 84],
+    200: [55, 56, 57, 58, 84],
+    210: [54, 55, 56, 57, 58, 84],
+    220: [53, 54, 55, 56, 84],
+    230: [52, 53, 54, 55, 56, 84],
+    240: [51, 52, 53, 54, 84],
+    250: [49, 50, 51, 52, 53, 84],
+    260: [48, 49, 50, 51, 52, 84],
+    270: [46, 47, 48, 49, 50, 51, 84],
+    280: [45, 46, 47, 48, 49, 84],
+    290: [43, 44, 45, 46, 47, 48, 84],
+    300: [41, 42, 43, 44, 45, 46, 84],
+    310: [40, 41, 42, 43, 44, 84],
+    320: [38, 39, 40, 41, 42, 43, 84],
+    330: [36, 37, 38, 39, 40, 41, 84],
+    340: [34, 35, 36, 37, 38, 39, 84],
+    350: [32, 33, 34, 35, 36, 37, 84],
+    360: [30, 31, 32, 33, 34, 35, 84],
+    370: [27, 28, 29, 30, 31, 32, 33, 84],
+    380: [25, 26, 27, 28, 29, 30, 31, 84],
+    390: [22, 23, 24, 25, 26, 27, 28, 29, 84],
+    400: [20, 21, 22, 23, 24, 25, 26, 84],
+    410: [17, 18, 19, 20, 21, 22, 23, 84],
+    420: [14, 15, 16, 17, 18, 19, 20, 84],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 84],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 84],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 84],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 84, 359],
+    480: [0, 1, 2, 3, 84, 358, 359],
+    490: [0, 84, 358, 359]
+  },
+  320: {
+    0: [68, 69, 70],
+    10: [68, 69, 84],
+    20: [67, 68, 69, 84],
+    30: [67, 68, 69, 84],
+    40: [66, 67, 68, 84],
+    50: [65, 66, 67, 84],
+    60: [65, 66, 67, 84],
+    70: [64, 65, 66, 67, 84],
+    80: [64, 65, 66, 84],
+    90: [63, 64, 65, 84],
+    100: [62, 63, 64, 65, 84],
+    110: [62, 63, 64, 84],
+    120: [61, 62, 63, 64, 84],
+    130: [60, 61, 62, 63, 84],
+    140: [59, 60, 61, 62, 84],
+    150: [58, 59, 60, 61, 84],
+    160: [58, 59, 60, 61, 84],
+    170: [57, 58, 59, 60, 84],
+    180: [56, 57, 58, 59, 84],
+    190: [55, 56, 57, 58, 84],
+    200: [54, 55, 56, 57, 84],
+    210: [53, 54, 55, 56, 84],
+    220: [51, 52, 53, 54, 55, 84],
+    230: [51, 52, 53, 54, 84],
+    240: [49, 50, 51, 52, 53, 84],
+    250: [48, 49, 50, 51, 52, 84],
+    260: [46, 47, 48, 49, 50, 51, 84],
+    270: [45, 46, 47, 48, 49, 84],
+    280: [43, 44, 45, 46, 47, 48, 84],
+    290: [42, 43, 44, 45, 46, 84],
+    300: [40, 41, 42, 43, 44, 45, 84],
+    310: [38, 39, 40, 41, 42, 43, 84],
+    320: [37, 38, 39, 40, 41, 84],
+    330: [35, 36, 37, 38, 39, 40, 84],
+    340: [33, 34, 35, 36, 37, 38, 84],
+    350: [31, 32, 33, 34, 35, 36, 84],
+    360: [28, 29, 30, 31, 32, 33, 34, 84],
+    370: [26, 27, 28, 29, 30, 31, 32, 84],
+    380: [24, 25, 26, 27, 28, 29, 84],
+    390: [22, 23, 24, 25, 26, 27, 84],
+    400: [19, 20, 21, 22, 23, 24, 25, 84],
+    410: [16, 17, 18, 19, 20, 21, 22, 84],
+    420: [13, 14, 15, 16, 17, 18, 19, 20, 84],
+    430: [11, 12, 13, 14, 15, 16, 17, 84],
+    440: [8, 9, 10, 11, 12, 13, 14, 84],
+    450: [6, 7, 8, 9, 10, 11, 84],
+    460: [2, 3, 4, 5, 6, 7, 8, 84],
+    470: [0, 1, 2, 3, 4, 5, 84, 359],
+    480: [0, 1, 2, 3, 84, 358, 359],
+    490: [0, 84, 358, 359]
+  },
+  330: {
+    0: [67, 68, 69, 83],
+    10: [67, 68, 83],
+    20: [66, 67, 68, 83],
+    30: [66, 67, 68, 83],
+    40: [65, 66, 67, 83],
+    50: [65, 66, 67, 83],
+    60: [64, 65, 66, 83],
+    70: [63, 64, 65, 83],
+    80: [63, 64, 65, 83],
+    90: [62, 63, 64, 83],
+    100: [61, 62, 63, 64, 83],
+    110: [61, 62, 63, 83],
+    120: [60, 61, 62, 83],
+    130: [59, 60, 61, 62, 83],
+    140: [58, 59, 60, 61, 83],
+    150: [57, 58, 59, 60, 83],
+    160: [57, 58, 59, 83],
+    170: [55, 56, 57, 58, 59, 83],
+    180: [55, 56, 57, 58, 83],
+    190: [54, 55, 56, 57, 83],
+    200: [53, 54, 55, 56, 83],
+    210: [51, 52, 53, 54, 55],
+    220: [50, 51, 52, 53, 54],
+    230: [49, 50, 51, 52, 53],
+    240: [48, 49, 50, 51],
+    250: [46, 47, 48, 49, 50],
+    260: [45, 46, 47, 48, 49],
+    270: [44, 45, 46, 47, 48],
+    280: [42, 43, 44, 45, 46],
+    290: [41, 42, 43, 44, 45],
+    300: [39, 40, 41, 42, 43, 44],
+    310: [37, 38, 39, 40, 41, 42],
+    320: [35, 36, 37, 38, 39, 40],
+    330: [34, 35, 36, 37, 38],
+    340: [32, 33, 34, 35, 36],
+    350: [29, 30, 31, 32, 33, 34, 35],
+    360: [28, 29, 30, 31, 32, 33],
+    370: [25, 26, 27, 28, 29, 30],
+    380: [23, 24, 25, 26, 27, 28],
+    390: [20, 21, 22, 23, 24, 25, 26],
+    400: [18, 19, 20, 21, 22, 23, 24],
+    410: [16, 17, 18, 19, 20, 21, 84],
+    420: [13, 14, 15, 16, 17, 18, 19, 84],
+    430: [10, 11, 12, 13, 14, 15, 16, 84],
+    440: [7, 8, 9, 10, 11, 12, 13, 14, 84],
+    450: [5, 6, 7, 8, 9, 10, 11, 84],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 84, 359],
+    480: [0, 1, 2, 3, 84, 358, 359],
+    490: [0, 358, 359],
+    500: [358]
+  },
+  340: {
+    0: [66, 67, 68, 83],
+    10: [66, 67, 68, 83],
+    20: [65, 66, 67, 83],
+    30: [65, 66, 67, 83],
+    40: [64, 65, 66, 83],
+    50: [63, 64, 65, 66, 83],
+    60: [63, 64, 65, 83],
+    70: [62, 63, 64, 83],
+    80: [62, 63, 64, 83],
+    90: [61, 62, 63, 83],
+    100: [60, 61, 62, 63, 83],
+    110: [59, 60, 61, 62, 83],
+    120: [59, 60, 61, 83],
+    130: [58, 59, 60, 61, 83],
+    140: [57, 58, 59, 60, 83],
+    150: [56, 57, 58, 59, 83],
+    160: [55, 56, 57, 58, 83],
+    170: [55, 56, 57, 83],
+    180: [53, 54, 55, 56, 57, 83],
+    190: [52, 53, 54, 55, 83],
+    200: [51, 52, 53, 54, 55, 83],
+    210: [50, 51, 52, 53, 83],
+    220: [49, 50, 51, 52, 53, 83],
+    230: [48, 49, 50, 51, 83],
+    240: [47, 48, 49, 50, 83],
+    250: [45, 46, 47, 48, 49, 83],
+    260: [44, 45, 46, 47, 48, 83],
+    270: [43, 44, 45, 46, 83],
+    280: [41, 42, 43, 44, 45, 83],
+    290: [40, 41, 42, 43, 44, 83],
+    300: [38, 39, 40, 41, 42, 83],
+    310: [36, 37, 38, 39, 40, 41, 83],
+    320: [35, 36, 37, 38, 39, 83],
+    330: [32, 33, 34, 35, 36, 37, 83],
+    340: [31, 32, 33, 34, 35, 36, 83],
+    350: [29, 30, 31, 32, 33, 83],
+    360: [26, 27, 28, 29, 30, 31, 32, 83],
+    370: [24, 25, 26, 27, 28, 29, 30, 83],
+    380: [22, 23, 24, 25, 26, 27, 83],
+    390: [20, 21, 22, 23, 24, 25, 83],
+    400: [17, 18, 19, 20, 21, 22, 23, 83],
+    410: [15, 16, 17, 18, 19, 20, 21, 83],
+    420: [12, 13, 14, 15, 16, 17, 18, 83],
+    430: [10, 11, 12, 13, 14, 15, 16, 83],
+    440: [8, 9, 10, 11, 12, 13, 83],
+    450: [5, 6, 7, 8, 9, 10, 83],
+    460: [3, 4, 5, 6, 7, 8, 83],
+    470: [0, 1, 2, 3, 4, 5, 83],
+    480: [0, 1, 2, 83, 358, 359],
+    490: [0, 83, 358, 359]
+  },
+  350: {
+    0: [65, 66, 67, 83],
+    10: [65, 66, 67, 83],
+    20: [64, 65, 66, 83],
+    30: [64, 65, 66, 83],
+    40: [63, 64, 65, 83],
+    50: [63, 64, 83],
+    60: [62, 63, 64, 83],
+    70: [61, 62, 63, 83],
+    80: [61, 62, 63, 83],
+    90: [60, 61, 62, 83],
+    100: [59, 60, 61, 62, 83],
+    110: [58, 59, 60, 61, 83],
+    120: [58, 59, 60, 83],
+    130: [57, 58, 59, 83],
+    140: [56, 57, 58, 59, 83],
+    150: [55, 56, 57, 58, 83],
+    160: [54, 55, 56, 57, 83],
+    170: [53, 54, 55, 56, 83],
+    180: [52, 53, 54, 55, 83],
+    190: [51, 52, 53, 54, 83],
+    200: [50, 51, 52, 53, 83],
+    210: [49, 50, 51, 52, 83],
+    220: [48, 49, 50, 51, 83],
+    230: [47, 48, 49, 50, 83],
+    240: [45, 46, 47, 48, 49, 83],
+    250: [44, 45, 46, 47, 48, 83],
+    260: [43, 44, 45, 46, 83],
+    270: [41, 42, 43, 44, 45, 83],
+    280: [40, 41, 42, 43, 44, 83],
+    290: [38, 39, 40, 41, 42, 43, 83],
+    300: [37, 38, 39, 40, 41, 83],
+    310: [35, 36, 37, 38, 39, 83],
+    320: [33, 34, 35, 36, 37, 38, 83],
+    330: [32, 33, 34, 35, 36, 83],
+    340: [30, 31, 32, 33, 34, 83],
+    350: [28, 29, 30, 31, 32, 33, 83],
+    360: [26, 27, 28, 29, 30, 31, 83],
+    370: [24, 25, 26, 27, 28, 83],
+    380: [21, 22, 23, 24, 25, 26, 83],
+    390: [19, 20, 21, 22, 23, 24, 83],
+    400: [17, 18, 19, 20, 21, 22, 83],
+    410: [15, 16, 17, 18, 19, 20, 83],
+    420: [13, 14, 15, 16, 17, 83],
+    430: [10, 11, 12, 13, 14, 15, 83],
+    440: [7, 8, 9, 10, 11, 12, 13, 83],
+    450: [5, 6, 7, 8, 9, 10, 11, 83],
+    460: [2, 3, 4, 5, 6, 7, 8, 83],
+    470: [0, 1, 2, 3, 4, 5, 6, 83],
+    480: [0, 1, 2, 3, 83, 359],
+    490: [0, 1, 83, 359]
+  },
+  360: {
+    0: [65, 66, 82],
+    10: [64, 65, 66, 82],
+    20: [63, 64, 65, 82],
+    30: [63, 64, 65, 82],
+    40: [62, 63, 64, 82],
+    50: [62, 63, 64, 82],
+    60: [61, 62, 63, 82],
+    70: [60, 61, 62, 82],
+    80: [60, 61, 62, 82],
+    90: [59, 60, 61, 82],
+    100: [58, 59, 60, 82],
+    110: [57, 58, 59, 60, 82],
+    120: [57, 58, 59, 82],
+    130: [56, 57, 58, 82],
+    140: [55, 56, 57, 58, 82],
+    150: [54, 55, 56, 57, 82],
+    160: [53, 54, 55, 56],
+    170: [52, 53, 54, 55],
+    180: [51, 52, 53, 54],
+    190: [50, 51, 52, 53],
+    200: [49, 50, 51, 52],
+    210: [48, 49, 50, 51],
+    220: [47, 48, 49, 50],
+    230: [46, 47, 48, 49],
+    240: [45, 46, 47, 48],
+    250: [43, 44, 45, 46, 47],
+    260: [42, 43, 44, 45],
+    270: [40, 41, 42, 43, 44],
+    280: [39, 40, 41, 42, 43],
+    290: [38, 39, 40, 41, 83],
+    300: [36, 37, 38, 39, 40, 83],
+    310: [34, 35, 36, 37, 38, 83],
+    320: [33, 34, 35, 36, 83],
+    330: [30, 31, 32, 33, 34, 35, 83],
+    340: [29, 30, 31, 32, 33, 83],
+    350: [27, 28, 29, 30, 31, 83],
+    360: [25, 26, 27, 28, 29, 83],
+    370: [23, 24, 25, 26, 27, 28, 83],
+    380: [21, 22, 23, 24, 25, 26, 83],
+    390: [19, 20, 21, 22, 23, 83],
+    400: [16, 17, 18, 19, 20, 21, 83],
+    410: [14, 15, 16, 17, 18, 19, 83],
+    420: [12, 13, 14, 15, 16, 17, 83],
+    430: [9, 10, 11, 12, 13, 14, 15, 83],
+    440: [7, 8, 9, 10, 11, 12, 13, 83],
+    450: [5, 6, 7, 8, 9, 10, 83],
+    460: [3, 4, 5, 6, 7, 8, 83],
+    470: [0, 1, 2, 3, 4, 5, 83],
+    480: [0, 1, 2, 3, 83, 359],
+    490: [0, 83, 359]
+  },
+  370: {
+    0: [64, 65, 82],
+    10: [63, 64, 65, 82],
+    20: [63, 64, 82],
+    30: [62, 63, 64, 82],
+    40: [61, 62, 63, 82],
+    50: [61, 62, 63, 82],
+    60: [60, 61, 62, 82],
+    70: [59, 60, 61, 62, 82],
+    80: [59, 60, 61, 82],
+    90: [58, 59, 60, 82],
+    100: [57, 58, 59, 60, 82],
+    110: [56, 57, 58, 59, 82],
+    120: [56, 57, 58, 82],
+    130: [55, 56, 57, 82],
+    140: [54, 55, 56, 82],
+    150: [53, 54, 55, 56, 82],
+    160: [52, 53, 54, 55, 82],
+    170: [51, 52, 53, 54, 82],
+    180: [50, 51, 52, 53, 82],
+    190: [49, 50, 51, 52, 82],
+    200: [48, 49, 50, 51, 82],
+    210: [47, 48, 49, 50, 82],
+    220: [46, 47, 48, 49, 82],
+    230: [45, 46, 47, 48, 82],
+    240: [43, 44, 45, 46, 47, 82],
+    250: [42, 43, 44, 45, 46, 82],
+    260: [41, 42, 43, 44, 82],
+    270: [39, 40, 41, 42, 43, 82],
+    280: [38, 39, 40, 41, 82],
+    290: [36, 37, 38, 39, 40, 82],
+    300: [35, 36, 37, 38, 39, 82],
+    310: [33, 34, 35, 36, 37, 82],
+    320: [31, 32, 33, 34, 35, 36, 82],
+    330: [30, 31, 32, 33, 34, 82],
+    340: [28, 29, 30, 31, 32, 82],
+    350: [26, 27, 28, 29, 30, 31, 82],
+    360: [24, 25, 26, 27, 28, 29, 82],
+    370: [23, 24, 25, 26, 82],
+    380: [20, 21, 22, 23, 24, 25, 82],
+    390: [18, 19, 20, 21, 22, 23, 82],
+    400: [16, 17, 18, 19, 20, 21, 82],
+    410: [14, 15, 16, 17, 18, 19, 82],
+    420: [12, 13, 14, 15, 16, 82],
+    430: [10, 11, 12, 13, 14, 82],
+    440: [7, 8, 9, 10, 11, 12, 82],
+    450: [5, 6, 7, 8, 9, 10, 82],
+    460: [2, 3, 4, 5, 6, 7, 8, 82],
+    470: [0, 1, 2, 3, 4, 5, 82],
+    480: [0, 1, 2, 3, 82, 359],
+    490: [0, 1, 82, 359]
+  },
+  380: {
+    0: [63, 64, 65, 82],
+    10: [62, 63, 64, 82],
+    20: [62, 63, 82],
+    30: [61, 62, 63, 82],
+    40: [60, 61, 62, 82],
+    50: [60, 61, 62, 82],
+    60: [59, 60, 61, 82],
+    70: [58, 59, 60, 61, 82],
+    80: [58, 59, 60, 82],
+    90: [57, 58, 59, 82],
+    100: [56, 57, 58, 59, 82],
+    110: [56, 57, 58, 82],
+    120: [55, 56, 57, 82],
+    130: [54, 55, 56, 82],
+    140: [53, 54, 55, 56, 82],
+    150: [52, 53, 54, 55, 82],
+    160: [51, 52, 53, 54, 82],
+    170: [50, 51, 52, 53, 82],
+    180: [49, 50, 51, 52, 82],
+    190: [48, 49, 50, 51, 82],
+    200: [47, 48, 49, 50, 82],
+    210: [46, 47, 48, 49, 82],
+    220: [45, 46, 47, 48, 82],
+    230: [44, 45, 46, 47, 82],
+    240: [43, 44, 45, 46, 82],
+    250: [41, 42, 43, 44, 82],
+    260: [40, 41, 42, 43, 82],
+    270: [38, 39, 40, 41, 42, 82],
+    280: [37, 38, 39, 40, 41, 82],
+    290: [36, 37, 38, 39, 82],
+    300: [34, 35, 36, 37, 38, 82],
+    310: [32, 33, 34, 35, 36, 82],
+    320: [31, 32, 33, 34, 82],
+    330: [29, 30, 31, 32, 33, 82],
+    340: [27, 28, 29, 30, 31, 82],
+    350: [26, 27, 28, 29, 82],
+    360: [23, 24, 25, 26, 27, 28, 82],
+    370: [21, 22, 23, 24, 25, 26, 82],
+    380: [20, 21, 22, 23, 24, 82],
+    390: [18, 19, 20, 21, 22, 82],
+    400: [16, 17, 18, 19, 20, 82],
+    410: [13, 14, 15, 16, 17, 18, 82],
+    420: [11, 12, 13, 14, 15, 16, 82],
+    430: [9, 10, 11, 12, 13, 14, 82],
+    440: [7, 8, 9, 10, 11, 12, 82],
+    450: [5, 6, 7, 8, 9, 10, 82],
+    460: [3, 4, 5, 6, 7, 82],
+    470: [0, 1, 2, 3, 4, 5, 82],
+    480: [0, 1, 2, 3, 82, 359],
+    490: [0, 1, 82, 359],
+    500: [82, 359]
+  },
+  390: {
+    0: [62, 63, 64, 81],
+    10: [62, 63, 81],
+    20: [61, 62, 63, 81],
+    30: [60, 61, 62, 81],
+    40: [60, 61, 81],
+    50: [59, 60, 61, 81],
+    60: [58, 59, 60, 81],
+    70: [58, 59, 60, 81],
+    80: [57, 58, 59, 81],
+    90: [56, 57, 58, 81],
+    100: [56, 57, 58, 81],
+    110: [55, 56, 57, 81],
+    120: [54, 55, 56],
+    130: [53, 54, 55],
+    140: [52, 53, 54, 55],
+    150: [51, 52, 53, 54],
+    160: [50, 51, 52, 53],
+    170: [49, 50, 51, 52],
+    180: [48, 49, 50, 51],
+    190: [47, 48, 49, 50],
+    200: [46, 47, 48, 49],
+    210: [45, 46, 47, 48],
+    220: [44, 45, 46, 47],
+    230: [43, 44, 45, 46, 82],
+    240: [41, 42, 43, 44, 45, 82],
+    250: [40, 41, 42, 43, 82],
+    260: [39, 40, 41, 42, 82],
+    270: [37, 38, 39, 40, 41, 82],
+    280: [36, 37, 38, 39, 82],
+    290: [34, 35, 36, 37, 38, 82],
+    300: [33, 34, 35, 36, 37, 82],
+    310: [31, 32, 33, 34, 35, 82],
+    320: [30, 31, 32, 33, 34, 82],
+    330: [28, 29, 30, 31, 32, 82],
+    340: [27, 28, 29, 30, 82],
+    350: [25, 26, 27, 28, 29, 82],
+    360: [23, 24, 25, 26, 27, 82],
+    370: [21, 22, 23, 24, 25, 82],
+    380: [19, 20, 21, 22, 23, 82],
+    390: [17, 18, 19, 20, 21, 82],
+    400: [15, 16, 17, 18, 19, 20, 82],
+    410: [13, 14, 15, 16, 17, 18, 82],
+    420: [11, 12, 13, 14, 15, 16, 82],
+    430: [9, 10, 11, 12, 13, 82],
+    440: [7, 8, 9, 10, 11, 82],
+    450: [5, 6, 7, 8, 9, 82],
+    460: [3, 4, 5, 6, 7, 82],
+    470: [0, 1, 2, 3, 4, 5, 82],
+    480: [0, 1, 2, 3, 82, 359],
+    490: [0, 1, 82, 359],
+    500: [82, 359]
+  },
+  400: {
+    0: [61, 62, 63, 81],
+    10: [61, 62, 81],
+    20: [60, 61, 62, 81],
+    30: [60, 61, 81],
+    40: [59, 60, 61, 81],
+    50: [58, 59, 60, 81],
+    60: [58, 59, 81],
+    70: [57, 58, 59, 81],
+    80: [56, 57, 58, 81],
+    90: [55, 56, 57, 81],
+    100: [54, 55, 56, 57, 81],
+    110: [54, 55, 56, 81],
+    120: [53, 54, 55, 81],
+    130: [52, 53, 54, 81],
+    140: [51, 52, 53, 54, 81],
+    150: [50, 51, 52, 53, 81],
+    160: [49, 50, 51, 52, 81],
+    170: [48, 49, 50, 51, 81],
+    180: [47, 48, 49, 50, 81],
+    190: [46, 47, 48, 49, 81],
+    200: [45, 46, 47, 48, 81],
+    210: [44, 45, 46, 47, 81],
+    220: [43, 44, 45, 46, 81],
+    230: [42, 43, 44, 45, 81],
+    240: [41, 42, 43, 44, 81],
+    250: [39, 40, 41, 42, 81],
+    260: [38, 39, 40, 41, 81],
+    270: [37, 38, 39, 40, 81],
+    280: [35, 36, 37, 38, 39, 81],
+    290: [34, 35, 36, 37, 81],
+    300: [32, 33, 34, 35, 36, 81],
+    310: [31, 32, 33, 34, 81],
+    320: [29, 30, 31, 32, 33, 81],
+    330: [27, 28, 29, 30, 31, 81],
+    340: [26, 27, 28, 29, 30, 81],
+    350: [24, 25, 26, 27, 28, 81],
+    360: [22, 23, 24, 25, 26, 81],
+    370: [20, 21, 22, 23, 24, 25, 81],
+    380: [18, 19, 20, 21, 22, 23, 81],
+    390: [17, 18, 19, 20, 21, 81],
+    400: [15, 16, 17, 18, 19, 81],
+    410: [13, 14, 15, 16, 17, 81],
+    420: [11, 12, 13, 14, 15],
+    430: [9, 10, 11, 12, 13],
+    440: [7, 8, 9, 10, 11],
+    450: [5, 6, 7, 8, 9],
+    460: [3, 4, 5, 6, 7],
+    470: [1, 2, 3, 4, 5],
+    480: [0, 1, 2, 3],
+    490: [0, 1]
+  },
+  410: {
+    0: [60, 61, 62, 81],
+    10: [60, 61, 62, 81],
+    20: [59, 60, 61, 81],
+    30: [59, 60, 81],
+    40: [58, 59, 60, 81],
+    50: [57, 58, 59, 81],
+    60: [57, 58, 59, 81],
+    70: [56, 57, 58, 81],
+    80: [55, 56, 57, 81],
+    90: [54, 55, 56, 57, 81],
+    100: [54, 55, 56, 81],
+    110: [53, 54, 55, 81],
+    120: [52, 53, 54, 81],
+    130: [51, 52, 53, 81],
+    140: [50, 51, 52, 53, 81],
+    150: [50, 51, 52, 81],
+    160: [48, 49, 50, 51, 81],
+    170: [48, 49, 50, 81],
+    180: [46, 47, 48, 49, 81],
+    190: [45, 46, 47, 48, 81],
+    200: [44, 45, 46, 47, 81],
+    210: [43, 44, 45, 46, 81],
+    220: [42, 43, 44, 45, 81],
+    230: [41, 42, 43, 44, 81],
+    240: [40, 41, 42, 43, 81],
+    250: [39, 40, 41, 42, 81],
+    260: [37, 38, 39, 40, 81],
+    270: [36, 37, 38, 39, 81],
+    280: [35, 36, 37, 81],
+    290: [33, 34, 35, 36, 81],
+    300: [32, 33, 34, 35, 81],
+    310: [30, 31, 32, 33, 81],
+    320: [28, 29, 30, 31, 32, 81],
+    330: [27, 28, 29, 30, 31, 81],
+    340: [25, 26, 27, 28, 29, 81],
+    350: [23, 24, 25, 26, 27, 81],
+    360: [22, 23, 24, 25, 26, 81],
+    370: [20, 21, 22, 23, 24, 81],
+    380: [18, 19, 20, 21, 22, 81],
+    390: [16, 17, 18, 19, 20, 81],
+    400: [14, 15, 16, 17, 18, 19, 81],
+    410: [12, 13, 14, 15, 16, 17, 81],
+    420: [11, 12, 13, 14, 15, 81],
+    430: [9, 10, 11, 12, 13, 81],
+    440: [7, 8, 9, 10, 11, 81],
+    450: [5, 6, 7, 8, 9, 81],
+    460: [3, 4, 5, 6, 7, 81],
+    470: [1, 2, 3, 4, 5, 81],
+    480: [0, 1, 2, 3, 81],
+    490: [0, 1, 81]
+  },
+  420: {
+    0: [60, 61, 80],
+    10: [59, 60, 61, 80],
+    20: [58, 59, 60, 80],
+    30: [58, 59, 60, 80],
+    40: [57, 58, 59, 80],
+    50: [57, 58, 80],
+    60: [56, 57, 58, 80],
+    70: [55, 56, 57, 80],
+    80: [54, 55, 56, 80],
+    90: [54, 55, 56, 80],
+    100: [53, 54, 55, 80],
+    110: [52, 53, 54],
+    120: [51, 52, 53],
+    130: [50, 51, 52, 53],
+    140: [50, 51, 52],
+    150: [49, 50, 51],
+    160: [48, 49, 50],
+    170: [47, 48, 49],
+    180: [46, 47, 48],
+    190: [45, 46, 47, 81],
+    200: [44, 45, 46, 81],
+    210: [42, 43, 44, 45, 81],
+    220: [41, 42, 43, 44, 81],
+    230: [40, 41, 42, 43, 81],
+    240: [39, 40, 41, 42, 81],
+    250: [38, 39, 40, 41, 81],
+    260: [36, 37, 38, 39, 81],
+    270: [35, 36, 37, 38, 81],
+    280: [34, 35, 36, 37, 81],
+    290: [32, 33, 34, 35, 81],
+    300: [31, 32, 33, 34, 81],
+    310: [29, 30, 31, 32, 33, 81],
+    320: [28, 29, 30, 31, 81],
+    330: [26, 27, 28, 29, 30, 81],
+    340: [24, 25, 26, 27, 28, 81],
+    350: [23, 24, 25, 26, 27, 81],
+    360: [22, 23, 24, 25, 81],
+    370: [19, 20, 21, 22, 23, 81],
+    380: [18, 19, 20, 21, 22, 81],
+    390: [16, 17, 18, 19, 20, 81],
+    400: [14, 15, 16, 17, 18, 81],
+    410: [13, 14, 15, 16, 81],
+    420: [11, 12, 13, 14, 81],
+    430: [9, 10, 11, 12, 81],
+    440: [7, 8, 9, 10, 11, 81],
+    450: [5, 6, 7, 8, 9, 81],
+    460: [3, 4, 5, 6, 7, 81],
+    470: [1, 2, 3, 4, 5, 81],
+    480: [0, 1, 2, 3, 81],
+    490: [0, 1, 81]
+  },
+  430: {
+    0: [59, 60, 61, 80],
+    10: [58, 59, 60, 80],
+    20: [58, 59, 80],
+    30: [57, 58, 59, 80],
+    40: [56, 57, 58, 80],
+    50: [56, 57, 58, 80],
+    60: [55, 56, 57, 80],
+    70: [54, 55, 56, 80],
+    80: [54, 55, 56, 80],
+    90: [53, 54, 55, 80],
+    100: [52, 53, 54, 80],
+    110: [51, 52, 53, 80],
+    120: [50, 51, 52, 53, 80],
+    130: [50, 51, 52, 80],
+    140: [49, 50, 51, 80],
+    150: [48, 49, 50, 80],
+    160: [47, 48, 49, 80],
+    170: [46, 47, 48, 80],
+    180: [45, 46, 47, 80],
+    190: [44, 45, 46, 80],
+    200: [43, 44, 45, 80],
+    210: [42, 43, 44, 80],
+    220: [40, 41, 42, 43, 80],
+    230: [39, 40, 41, 42, 80],
+    240: [38, 39, 40, 41, 80],
+    250: [37, 38, 39, 40, 80],
+    260: [36, 37, 38, 39, 80],
+    270: [34, 35, 36, 37, 80],
+    280: [33, 34, 35, 36, 80],
+    290: [31, 32, 33, 34, 35, 80],
+    300: [30, 31, 32, 33, 80],
+    310: [29, 30, 31, 32, 80],
+    320: [27, 28, 29, 30, 31, 80],
+    330: [26, 27, 28, 29, 80],
+    340: [24, 25, 26, 27, 80],
+    350: [22, 23, 24, 25, 26],
+    360: [21, 22, 23, 24],
+    370: [19, 20, 21, 22, 23],
+    380: [18, 19, 20, 21],
+    390: [16, 17, 18, 19],
+    400: [14, 15, 16, 17, 18],
+    410: [12, 13, 14, 15, 16],
+    420: [10, 11, 12, 13, 14],
+    430: [8, 9, 10, 11, 12],
+    440: [7, 8, 9, 10, 11],
+    450: [5, 6, 7, 8, 9],
+    460: [3, 4, 5, 6, 7],
+    470: [1, 2, 3, 4, 5],
+    480: [0, 1, 2, 3],
+    490: [0, 1]
+  },
+  440: {
+    0: [58, 59, 60, 80],
+    10: [58, 59, 80],
+    20: [57, 58, 59, 80],
+    30: [56, 57, 58, 80],
+    40: [56, 57, 80],
+    50: [55, 56, 57, 80],
+    60: [54, 55, 56, 80],
+    70: [54, 55, 80],
+    80: [53, 54, 55, 80],
+    90: [52, 53, 54, 80],
+    100: [51, 52, 53, 80],
+    110: [50, 51, 52, 80],
+    120: [50, 51, 52, 80],
+    130: [49, 50, 51, 80],
+    140: [48, 49, 50, 80],
+    150: [47, 48, 49, 80],
+    160: [46, 47, 48, 80],
+    170: [45, 46, 47, 80],
+    180: [44, 45, 46, 80],
+    190: [43, 44, 45, 46, 80],
+    200: [42, 43, 44, 80],
+    210: [41, 42, 43, 44, 80],
+    220: [40, 41, 42, 80],
+    230: [39, 40, 41, 80],
+    240: [38, 39, 40, 80],
+    250: [36, 37, 38, 39, 80],
+    260: [35, 36, 37, 38, 80],
+    270: [34, 35, 36, 80],
+    280: [32, 33, 34, 35, 80],
+    290: [31, 32, 33, 34, 80],
+    300: [29, 30, 31, 32, 80],
+    310: [28, 29, 30, 31, 80],
+    320: [27, 28, 29, 30, 80],
+    330: [25, 26, 27, 28, 80],
+    340: [23, 24, 25, 26, 27, 80],
+    350: [22, 23, 24, 25, 80],
+    360: [21, 22, 23, 24, 80],
+    370: [19, 20, 21, 22, 80],
+    380: [17, 18, 19, 20, 21, 80],
+    390: [15, 16, 17, 18, 19, 80],
+    400: [14, 15, 16, 17, 80],
+    410: [12, 13, 14, 15, 16, 80],
+    420: [10, 11, 12, 13, 14, 80],
+    430: [9, 10, 11, 12, 80],
+    440: [7, 8, 9, 10, 80],
+    450: [5, 6, 7, 8, 80],
+    460: [3, 4, 5, 6, 7, 80],
+    470: [1, 2, 3, 4, 5, 80],
+    480: [0, 1, 2, 3, 80],
+    490: [0, 1, 80],
+    500: [0]
+  },
+  450: {
+    0: [58, 59, 79],
+    10: [57, 58, 79],
+    20: [56, 57, 58, 79],
+    30: [56, 57, 79],
+    40: [55, 56, 57, 79],
+    50: [54, 55, 56, 79],
+    60: [54, 55, 79],
+    70: [53, 54, 55, 79],
+    80: [52, 53, 54, 79],
+    90: [51, 52, 53, 79],
+    100: [50, 51, 52],
+    110: [50, 51, 52],
+    120: [49, 50, 51],
+    130: [48, 49, 50],
+    140: [47, 48, 49],
+    150: [46, 47, 48, 80],
+    160: [45, 46, 47, 48, 80],
+    170: [44, 45, 46, 80],
+    180: [43, 44, 45, 46, 80],
+    190: [42, 43, 44, 45, 80],
+    200: [41, 42, 43, 44, 80],
+    210: [40, 41, 42, 80],
+    220: [39, 40, 41, 42, 80],
+    230: [38, 39, 40, 80],
+    240: [37, 38, 39, 80],
+    250: [36, 37, 38, 80],
+    260: [34, 35, 36, 37, 80],
+    270: [33, 34, 35, 36, 80],
+    280: [32, 33, 34, 80],
+    290: [30, 31, 32, 33, 80],
+    300: [29, 30, 31, 32, 80],
+    310: [28, 29, 30, 80],
+    320: [26, 27, 28, 29, 80],
+    330: [24, 25, 26, 27, 28, 80],
+    340: [23, 24, 25, 26, 80],
+    350: [22, 23, 24, 25, 80],
+    360: [20, 21, 22, 23, 80],
+    370: [18, 19, 20, 21, 22, 80],
+    380: [17, 18, 19, 20, 80],
+    390: [15, 16, 17, 18, 80],
+    400: [14, 15, 16, 17, 80],
+    410: [12, 13, 14, 15, 80],
+    420: [10, 11, 12, 13, 14, 80],
+    430: [8, 9, 10, 11, 12, 80],
+    440: [6, 7, 8, 9, 10, 80],
+    450: [5, 6, 7, 8, 9, 80],
+    460: [3, 4, 5, 6, 7, 80],
+    470: [1, 2, 3, 4, 5, 80],
+    480: [1, 2, 3, 80],
+    490: [0, 1, 2, 80]
+  },
+  460: {
+    0: [57, 58, 79],
+    10: [56, 57, 58, 79],
+    20: [56, 57, 79],
+    30: [55, 56, 79],
+    40: [54, 55, 56, 79],
+    50: [54, 55, 79],
+    60: [53, 54, 55, 79],
+    70: [52, 53, 54, 79],
+    80: [51, 52, 53, 79],
+    90: [51, 52, 79],
+    100: [50, 51, 52, 79],
+    110: [49, 50, 51, 79],
+    120: [48, 49, 50, 79],
+    130: [47, 48, 49, 79],
+    140: [46, 47, 48, 79],
+    150: [45, 46, 47, 48, 79],
+    160: [45, 46, 47, 79],
+    170: [44, 45, 46, 79],
+    180: [43, 44, 45, 79],
+    190: [42, 43, 44, 79],
+    200: [41, 42, 43, 79],
+    210: [39, 40, 41, 42, 79],
+    220: [38, 39, 40, 41, 79],
+    230: [37, 38, 39, 40, 79],
+    240: [36, 37, 38, 39, 79],
+    250: [35, 36, 37, 79],
+    260: [34, 35, 36, 79],
+    270: [32, 33, 34, 35, 79],
+    280: [31, 32, 33, 34, 79],
+    290: [30, 31, 32, 33, 79],
+    300: [28, 29, 30, 31],
+    310: [27, 28, 29, 30],
+    320: [26, 27, 28, 29],
+    330: [24, 25, 26, 27],
+    340: [23, 24, 25, 26],
+    350: [21, 22, 23, 24],
+    360: [20, 21, 22, 23],
+    370: [18, 19, 20, 21],
+    380: [16, 17, 18, 19],
+    390: [15, 16, 17, 18],
+    400: [13, 14, 15, 16, 17],
+    410: [12, 13, 14, 15],
+    420: [10, 11, 12, 13],
+    430: [8, 9, 10, 11, 12, 80],
+    440: [7, 8, 9, 10, 80],
+    450: [5, 6, 7, 8, 80],
+    460: [3, 4, 5, 6, 80],
+    470: [2, 3, 4, 5, 80],
+    480: [1, 2, 3, 80],
+    490: [1]
+  },
+  470: {
+    0: [56, 57, 58, 79],
+    10: [56, 57, 79],
+    20: [55, 56, 79],
+    30: [54, 55, 56, 79],
+    40: [54, 55, 79],
+    50: [53, 54, 55, 79],
+    60: [52, 53, 54, 79],
+    70: [51, 52, 53, 79],
+    80: [51, 52, 79],
+    90: [50, 51, 52, 79],
+    100: [49, 50, 51, 79],
+    110: [48, 49, 50, 79],
+    120: [47, 48, 49, 79],
+    130: [47, 48, 49, 79],
+    140: [46, 47, 48, 79],
+    150: [45, 46, 47, 79],
+    160: [44, 45, 46, 79],
+    170: [43, 44, 45, 79],
+    180: [42, 43, 44, 79],
+    190: [41, 42, 43, 79],
+    200: [40, 41, 42, 79],
+    210: [39, 40, 41, 79],
+    220: [38, 39, 40, 79],
+    230: [37, 38, 39, 79],
+    240: [35, 36, 37, 38, 79],
+    250: [34, 35, 36, 37, 79],
+    260: [33, 34, 35, 79],
+    270: [32, 33, 34, 79],
+    280: [31, 32, 33, 79],
+    290: [29, 30, 31, 32, 79],
+    300: [28, 29, 30, 31, 79],
+    310: [27, 28, 29, 79],
+    320: [25, 26, 27, 28, 79],
+    330: [24, 25, 26, 27, 79],
+    340: [22, 23, 24, 25, 79],
+    350: [21, 22, 23, 24, 79],
+    360: [19, 20, 21, 22, 79],
+    370: [18, 19, 20, 21, 79],
+    380: [16, 17, 18, 19, 79],
+    390: [15, 16, 17, 18, 79],
+    400: [13, 14, 15, 16, 79],
+    410: [12, 13, 14, 79],
+    420: [10, 11, 12, 13, 79],
+    430: [8, 9, 10, 11, 79],
+    440: [6, 7, 8, 9, 10, 79],
+    450: [5, 6, 7, 8, 79],
+    460: [3, 4, 5, 6, 7, 79],
+    470: [2, 3, 4, 5, 79],
+    480: [1, 2, 3, 79],
+    490: [1, 2, 79]
+  },
+  480: {
+    0: [56, 57, 78],
+    10: [55, 56, 78],
+    20: [54, 55, 56, 78],
+    30: [54, 55, 78],
+    40: [53, 54, 55, 78],
+    50: [52, 53, 54, 78],
+    60: [51, 52, 53, 78],
+    70: [51, 52, 78],
+    80: [50, 51, 52, 78],
+    90: [49, 50, 51],
+    100: [48, 49, 50],
+    110: [48, 49],
+    120: [47, 48, 49],
+    130: [46, 47, 48],
+    140: [45, 46, 47, 79],
+    150: [44, 45, 46, 79],
+    160: [43, 44, 45, 79],
+    170: [42, 43, 44, 79],
+    180: [41, 42, 43, 79],
+    190: [40, 41, 42, 43, 79],
+    200: [39, 40, 41, 79],
+    210: [38, 39, 40, 79],
+    220: [37, 38, 39, 79],
+    230: [36, 37, 38, 79],
+    240: [35, 36, 37, 79],
+    250: [34, 35, 36, 79],
+    260: [32, 33, 34, 35, 79],
+    270: [31, 32, 33, 34, 79],
+    280: [30, 31, 32, 33, 79],
+    290: [29, 30, 31, 79],
+    300: [28, 29, 30, 79],
+    310: [26, 27, 28, 29, 79],
+    320: [25, 26, 27, 28, 79],
+    330: [23, 24, 25, 26, 79],
+    340: [22, 23, 24, 25, 79],
+    350: [20, 21, 22, 23, 79],
+    360: [19, 20, 21, 22, 79],
+    370: [17, 18, 19, 20, 21, 79],
+    380: [16, 17, 18, 19, 79],
+    390: [14, 15, 16, 17, 79],
+    400: [13, 14, 15, 16, 79],
+    410: [11, 12, 13, 14, 15, 79],
+    420: [10, 11, 12, 13, 79],
+    430: [8, 9, 10, 11, 79],
+    440: [7, 8, 9, 10, 79],
+    450: [5, 6, 7, 8, 79],
+    460: [4, 5, 6, 7, 79],
+    470: [2, 3, 4, 5, 79],
+    480: [1, 2, 3, 79],
+    490: [1, 2, 79],
+    500: [79]
+  },
+  490: {
+    0: [55, 56, 78],
+    10: [54, 55, 56, 78],
+    20: [54, 55, 78],
+    30: [53, 54, 55, 78],
+    40: [52, 53, 54, 78],
+    50: [52, 53, 78],
+    60: [51, 52, 53, 78],
+    70: [50, 51, 52, 78],
+    80: [49, 50, 51, 78],
+    90: [49, 50, 78],
+    100: [48, 49, 78],
+    110: [47, 48, 49, 78],
+    120: [46, 47, 48, 78],
+    130: [45, 46, 47, 78],
+    140: [44, 45, 46, 78],
+    150: [43, 44, 45, 78],
+    160: [42, 43, 44, 45, 78],
+    170: [42, 43, 44, 78],
+    180: [41, 42, 43, 78],
+    190: [40, 41, 42, 78],
+    200: [38, 39, 40, 41, 78],
+    210: [38, 39, 40, 78],
+    220: [36, 37, 38, 39, 78],
+    230: [35, 36, 37, 38, 78],
+    240: [34, 35, 36, 78],
+    250: [33, 34, 35, 36, 78],
+    260: [32, 33, 34, 78],
+    270: [31, 32, 33, 78],
+    280: [29, 30, 31, 32],
+    290: [28, 29, 30, 31],
+    300: [27, 28, 29, 30],
+    310: [26, 27, 28],
+    320: [24, 25, 26, 27],
+    330: [23, 24, 25, 26],
+    340: [21, 22, 23, 24],
+    350: [20, 21, 22, 23],
+    360: [19, 20, 21],
+    370: [17, 18, 19, 20, 79],
+    380: [16, 17, 18, 19, 79],
+    390: [14, 15, 16, 17, 79],
+    400: [13, 14, 15, 16, 79],
+    410: [11, 12, 13, 14, 79],
+    420: [10, 11, 12, 13, 79],
+    430: [8, 9, 10, 11, 79],
+    440: [7, 8, 9, 79],
+    450: [5, 6, 7, 8, 79],
+    460: [3, 4, 5, 6, 7, 79],
+    470: [2, 3, 4, 5, 79],
+    480: [1, 2, 3, 4, 79],
+    490: [1, 2, 79]
+  },
+  500: {
+    0: [54, 55, 56, 78],
+    10: [54, 55, 78],
+    20: [53, 54, 78],
+    30: [52, 53, 54, 78],
+    40: [52, 53, 78],
+    50: [51, 52, 53, 78],
+    60: [50, 51, 52, 78],
+    70: [50, 51, 78],
+    80: [49, 50, 78],
+    90: [48, 49, 50, 78],
+    100: [47, 48, 49, 78],
+    110: [46, 47, 48, 78],
+    120: [46, 47, 78],
+    130: [45, 46, 78],
+    140: [44, 45, 46, 78],
+    150: [43, 44, 45, 78],
+    160: [42, 43, 44, 78],
+    170: [41, 42, 43, 78],
+    180: [40, 41, 42, 78],
+    190: [39, 40, 41, 78],
+    200: [38, 39, 40, 78],
+    210: [37, 38, 39, 78],
+    220: [36, 37, 38, 78],
+    230: [35, 36, 37, 78],
+    240: [34, 35, 36, 78],
+    250: [33, 34, 35, 78],
+    260: [31, 32, 33, 34, 78],
+    270: [30, 31, 32, 33, 78],
+    280: [29, 30, 31, 78],
+    290: [28, 29, 30, 78],
+    300: [26, 27, 28, 29, 78],
+    310: [25, 26, 27, 28, 78],
+    320: [24, 25, 26, 78],
+    330: [22, 23, 24, 25, 78],
+    340: [21, 22, 23, 24, 78],
+    350: [20, 21, 22, 78],
+    360: [18, 19, 20, 21, 78],
+    370: [17, 18, 19, 20, 78],
+    380: [15, 16, 17, 18, 78],
+    390: [14, 15, 16, 17, 78],
+    400: [13, 14, 15, 78],
+    410: [11, 12, 13, 14, 78],
+    420: [9, 10, 11, 12, 13, 78],
+    430: [8, 9, 10, 11, 78],
+    440: [6, 7, 8, 9, 10, 78],
+    450: [5, 6, 7, 8, 78],
+    460: [4, 5, 6, 7, 78],
+    470: [2, 3, 4, 5, 78],
+    480: [1, 2, 3, 4, 78],
+    490: [1, 2, 78],
+    500: [1]
+  },
+  510: {
+    0: [54, 55, 77],
+    10: [53, 54, 77],
+    20: [52, 53, 54, 77],
+    30: [52, 53, 77],
+    40: [51, 52, 77],
+    50: [50, 51, 52, 77],
+    60: [50, 51, 77],
+    70: [49, 50, 77],
+    80: [48, 49, 50, 77],
+    90: [47, 48, 49],
+    100: [46, 47, 48],
+    110: [46, 47],
+    120: [45, 46, 47],
+    130: [44, 45, 46, 78],
+    140: [43, 44, 45, 78],
+    150: [42, 43, 44, 78],
+    160: [41, 42, 43, 78],
+    170: [40, 41, 42, 78],
+    180: [39, 40, 41, 78],
+    190: [39, 40, 78],
+    200: [37, 38, 39, 78],
+    210: [36, 37, 38, 39, 78],
+    220: [35, 36, 37, 78],
+    230: [34, 35, 36, 37, 78],
+    240: [33, 34, 35, 78],
+    250: [32, 33, 34, 78],
+    260: [31, 32, 33, 78],
+    270: [30, 31, 32, 78],
+    280: [28, 29, 30, 31, 78],
+    290: [27, 28, 29, 30, 78],
+    300: [26, 27, 28, 78],
+    310: [25, 26, 27, 78],
+    320: [23, 24, 25, 26, 78],
+    330: [22, 23, 24, 25, 78],
+    340: [21, 22, 23, 78],
+    350: [19, 20, 21, 22, 78],
+    360: [18, 19, 20, 21, 78],
+    370: [17, 18, 19, 78],
+    380: [15, 16, 17, 18, 78],
+    390: [14, 15, 16, 17, 78],
+    400: [12, 13, 14, 15, 78],
+    410: [11, 12, 13, 14, 78],
+    420: [10, 11, 12, 78],
+    430: [8, 9, 10, 11, 78],
+    440: [7, 8, 9, 78],
+    450: [5, 6, 7, 8, 78],
+    460: [4, 5, 6, 78],
+    470: [2, 3, 4, 5, 78],
+    480: [1, 2, 3, 78],
+    490: [1, 2, 78]
+  },
+  520: {
+    0: [53, 54, 77],
+    10: [52, 53, 54, 77],
+    20: [52, 53, 77],
+    30: [51, 52, 53, 77],
+    40: [50, 51, 52, 77],
+    50: [50, 51, 77],
+    60: [49, 50, 51, 77],
+    70: [48, 49, 50, 77],
+    80: [47, 48, 49, 77],
+    90: [47, 48, 77],
+    100: [46, 47, 48, 77],
+    110: [45, 46, 47, 77],
+    120: [44, 45, 46, 77],
+    130: [43, 44, 45, 77],
+    140: [43, 44, 77],
+    150: [42, 43, 77],
+    160: [41, 42, 43, 77],
+    170: [40, 41, 42, 77],
+    180: [39, 40, 41, 77],
+    190: [38, 39, 40, 77],
+    200: [37, 38, 39, 77],
+    210: [36, 37, 38, 77],
+    220: [35, 36, 37, 77],
+    230: [34, 35, 36, 77],
+    240: [33, 34, 35, 77],
+    250: [32, 33, 34],
+    260: [30, 31, 32, 33],
+    270: [29, 30, 31, 32],
+    280: [28, 29, 30],
+    290: [27, 28, 29],
+    300: [26, 27, 28],
+    310: [24, 25, 26, 27],
+    320: [23, 24, 25],
+    330: [22, 23, 24],
+    340: [20, 21, 22, 23, 78],
+    350: [19, 20, 21, 22, 78],
+    360: [18, 19, 20, 78],
+    370: [16, 17, 18, 19, 78],
+    380: [15, 16, 17, 18, 78],
+    390: [14, 15, 16, 78],
+    400: [12, 13, 14, 15, 78],
+    410: [11, 12, 13, 14, 78],
+    420: [9, 10, 11, 12, 78],
+    430: [8, 9, 10, 11, 78],
+    440: [7, 8, 9, 78],
+    450: [5, 6, 7, 8, 78],
+    460: [4, 5, 6, 7, 78],
+    470: [2, 3, 4, 5, 78],
+    480: [2, 3, 4, 78],
+    490: [2, 78]
+  },
+  530: {
+    0: [53, 54, 77],
+    10: [52, 53, 77],
+    20: [51, 52, 53, 77],
+    30: [51, 52, 77],
+    40: [50, 51, 77],
+    50: [49, 50, 51, 77],
+    60: [48, 49, 50, 77],
+    70: [48, 49, 77],
+    80: [47, 48, 49, 77],
+    90: [46, 47, 48, 77],
+    100: [45, 46, 47, 77],
+    110: [45, 46, 77],
+    120: [44, 45, 77],
+    130: [43, 44, 45, 77],
+    140: [42, 43, 44, 77],
+    150: [41, 42, 43, 77],
+    160: [40, 41, 42, 77],
+    170: [39, 40, 41, 77],
+    180: [38, 39, 40, 77],
+    190: [37, 38, 39, 77],
+    200: [36, 37, 38, 77],
+    210: [35, 36, 37, 77],
+    220: [34, 35, 36, 77],
+    230: [33, 34, 35, 77],
+    240: [32, 33, 34, 77],
+    250: [31, 32, 33, 77],
+    260: [30, 31, 32, 77],
+    270: [29, 30, 31, 77],
+    280: [28, 29, 30, 77],
+    290: [26, 27, 28, 29, 77],
+    300: [25, 26, 27, 28, 77],
+    310: [24, 25, 26, 77],
+    320: [23, 24, 25, 77],
+    330: [22, 23, 24, 77],
+    340: [20, 21, 22, 23, 77],
+    350: [19, 20, 21, 77],
+    360: [17, 18, 19, 20, 77],
+    370: [16, 17, 18, 19, 77],
+    380: [15, 16, 17, 18, 77],
+    390: [14, 15, 16, 77],
+    400: [12, 13, 14, 15, 77],
+    410: [11, 12, 13, 77],
+    420: [9, 10, 11, 12, 77],
+    430: [8, 9, 10, 11, 77],
+    440: [7, 8, 9, 77],
+    450: [5, 6, 7, 8, 77],
+    460: [4, 5, 6, 7, 77],
+    470: [3, 4, 5, 77],
+    480: [2, 3, 4],
+    490: [2]
+  },
+  540: {
+    0: [52, 53, 76],
+    10: [51, 52, 53, 76],
+    20: [51, 52, 76],
+    30: [50, 51, 76],
+    40: [49, 50, 51, 76],
+    50: [49, 50, 76],
+    60: [48, 49, 76],
+    70: [47, 48, 49, 76],
+    80: [46, 47, 48, 76],
+    90: [46, 47],
+    100: [45, 46],
+    110: [44, 45, 46],
+    120: [43, 44, 45],
+    130: [42, 43, 44, 77],
+    140: [41, 42, 43, 77],
+    150: [40, 41, 42, 77],
+    160: [40, 41, 77],
+    170: [39, 40, 77],
+    180: [38, 39, 40, 77],
+    190: [37, 38, 39, 77],
+    200: [36, 37, 38, 77],
+    210: [35, 36, 37, 77],
+    220: [34, 35, 36, 77],
+    230: [33, 34, 35, 77],
+    240: [32, 33, 34, 77],
+    250: [31, 32, 33, 77],
+    260: [30, 31, 32, 77],
+    270: [28, 29, 30, 31, 77],
+    280: [27, 28, 29, 30, 77],
+    290: [26, 27, 28, 77],
+    300: [25, 26, 27, 77],
+    310: [24, 25, 26, 77],
+    320: [23, 24, 25, 77],
+    330: [21, 22, 23, 77],
+    340: [20, 21, 22, 77],
+    350: [19, 20, 21, 77],
+    360: [18, 19, 20, 77],
+    370: [16, 17, 18, 77],
+    380: [15, 16, 17, 77],
+    390: [13, 14, 15, 16, 77],
+    400: [12, 13, 14, 15, 77],
+    410: [11, 12, 13, 77],
+    420: [10, 11, 12, 77],
+    430: [8, 9, 10, 11, 77],
+    440: [7, 8, 9, 77],
+    450: [5, 6, 7, 8, 77],
+    460: [4, 5, 6, 77],
+    470: [2, 3, 4, 5, 77],
+    480: [2, 3, 4, 77],
+    490: [2, 77]
+  },
+  550: {
+    0: [51, 52, 53, 76],
+    10: [51, 52, 76],
+    20: [50, 51, 52, 76],
+    30: [49, 50, 51, 76],
+    40: [49, 50, 76],
+    50: [48, 49, 50, 76],
+    60: [47, 48, 49, 76],
+    70: [47, 48, 76],
+    80: [46, 47, 76],
+    90: [45, 46, 47, 76],
+    100: [44, 45, 46, 76],
+    110: [43, 44, 45, 76],
+    120: [43, 44, 76],
+    130: [42, 43, 76],
+    140: [41, 42, 43, 76],
+    150: [40, 41, 42, 76],
+    160: [39, 40, 41, 76],
+    170: [38, 39, 40, 76],
+    180: [37, 38, 39, 76],
+    190: [36, 37, 38, 76],
+    200: [35, 36, 37, 76],
+    210: [34, 35, 36, 76],
+    220: [33, 34, 35, 76],
+    230: [32, 33, 34, 76],
+    240: [31, 32, 33],
+    250: [30, 31, 32],
+    260: [29, 30, 31],
+    270: [28, 29, 30],
+    280: [27, 28, 29],
+    290: [26, 27, 28],
+    300: [25, 26, 27, 77],
+    310: [23, 24, 25, 26, 77],
+    320: [22, 23, 24, 77],
+    330: [21, 22, 23, 77],
+    340: [20, 21, 22, 77],
+    350: [18, 19, 20, 21, 77],
+    360: [17, 18, 19, 77],
+    370: [16, 17, 18, 77],
+    380: [15, 16, 17, 77],
+    390: [13, 14, 15, 16, 77],
+    400: [12, 13, 14, 77],
+    410: [11, 12, 13, 77],
+    420: [9, 10, 11, 12, 77],
+    430: [8, 9, 10, 11, 77],
+    440: [7, 8, 9, 77],
+    450: [5, 6, 7, 8, 77],
+    460: [4, 5, 6, 7, 77],
+    470: [3, 4, 5, 77],
+    480: [2, 3, 4, 77],
+    490: [2, 3, 77]
+  },
+  560: {
+    0: [51, 52, 76],
+    10: [50, 51, 52, 76],
+    20: [50, 51, 76],
+    30: [49, 50, 76],
+    40: [48, 49, 50, 76],
+    50: [47, 48, 49, 76],
+    60: [47, 48, 76],
+    70: [46, 47, 76],
+    80: [45, 46, 47, 76],
+    90: [45, 46, 76],
+    100: [44, 45, 76],
+    110: [43, 44, 45, 76],
+    120: [42, 43, 44, 76],
+    130: [41, 42, 43, 76],
+    140: [40, 41, 42, 76],
+    150: [40, 41, 76],
+    160: [39, 40, 76],
+    170: [38, 39, 76],
+    180: [37, 38, 39, 76],
+    190: [36, 37, 38, 76],
+    200: [35, 36, 37, 76],
+    210: [34, 35, 36, 76],
+    220: [33, 34, 35, 76],
+    230: [32, 33, 34, 76],
+    240: [31, 32, 33, 76],
+    250: [30, 31, 32, 76],
+    260: [29, 30, 31, 76],
+    270: [28, 29, 30, 76],
+    280: [26, 27, 28, 29, 76],
+    290: [25, 26, 27, 28, 76],
+    300: [24, 25, 26, 76],
+    310: [23, 24, 25, 76],
+    320: [22, 23, 24, 76],
+    330: [21, 22, 23, 76],
+    340: [19, 20, 21, 22, 76],
+    350: [18, 19, 20, 21, 76],
+    360: [17, 18, 19, 76],
+    370: [16, 17, 18, 76],
+    380: [15, 16, 17, 76],
+    390: [13, 14, 15, 76],
+    400: [12, 13, 14, 76],
+    410: [11, 12, 13, 76],
+    420: [9, 10, 11, 12, 76],
+    430: [8, 9, 10, 11, 76],
+    440: [7, 8, 9, 76],
+    450: [6, 7, 8],
+    460: [4, 5, 6, 7],
+    470: [3, 4, 5],
+    480: [2, 3, 4],
+    490: [2, 3]
+  },
+  570: {
+    0: [50, 51, 52, 75],
+    10: [50, 51, 75],
+    20: [49, 50, 75],
+    30: [48, 49, 50, 75],
+    40: [48, 49, 75],
+    50: [47, 48, 75],
+    60: [46, 47, 48, 75],
+    70: [46, 47, 75],
+    80: [45, 46, 75],
+    90: [44, 45, 75],
+    100: [43, 44, 45],
+    110: [42, 43, 44],
+    120: [42, 43, 76],
+    130: [41, 42, 76],
+    140: [40, 41, 42, 76],
+    150: [39, 40, 41, 76],
+    160: [38, 39, 40, 76],
+    170: [37, 38, 39, 76],
+    180: [36, 37, 38, 76],
+    190: [35, 36, 37, 76],
+    200: [34, 35, 36, 76],
+    210: [33, 34, 35, 76],
+    220: [32, 33, 34, 76],
+    230: [31, 32, 33, 76],
+    240: [30, 31, 32, 76],
+    250: [29, 30, 31, 76],
+    260: [28, 29, 30, 76],
+    270: [27, 28, 29, 76],
+    280: [26, 27, 28, 76],
+    290: [25, 26, 27, 76],
+    300: [24, 25, 26, 76],
+    310: [23, 24, 25, 76],
+    320: [22, 23, 24, 76],
+    330: [20, 21, 22, 23, 76],
+    340: [19, 20, 21, 22, 76],
+    350: [18, 19, 20, 76],
+    360: [17, 18, 19, 76],
+    370: [16, 17, 18, 76],
+    380: [14, 15, 16, 17, 76],
+    390: [13, 14, 15, 76],
+    400: [12, 13, 14, 76],
+    410: [11, 12, 13, 76],
+    420: [9, 10, 11, 12, 76],
+    430: [8, 9, 10, 76],
+    440: [7, 8, 9, 76],
+    450: [5, 6, 7, 8, 76],
+    460: [4, 5, 6, 7, 76],
+    470: [3, 4, 5, 76],
+    480: [2, 3, 4, 76],
+    490: [2, 3, 76],
+    500: [2]
+  },
+  580: {
+    0: [50, 51, 75],
+    10: [49, 50, 51, 75],
+    20: [49, 50, 75],
+    30: [48, 49, 75],
+    40: [47, 48, 75],
+    50: [47, 48, 75],
+    60: [46, 47, 75],
+    70: [45, 46, 75],
+    80: [44, 45, 46, 75],
+    90: [43, 44, 45, 75],
+    100: [43, 44, 75],
+    110: [42, 43, 75],
+    120: [41, 42, 43, 75],
+    130: [40, 41, 42, 75],
+    140: [39, 40, 41, 75],
+    150: [39, 40, 75],
+    160: [38, 39, 75],
+    170: [37, 38, 39, 75],
+    180: [36, 37, 38, 75],
+    190: [35, 36, 37, 75],
+    200: [34, 35, 36, 75],
+    210: [33, 34, 35, 75],
+    220: [32, 33, 34, 75],
+    230: [31, 32, 33],
+    240: [30, 31, 32],
+    250: [29, 30, 31],
+    260: [28, 29, 30],
+    270: [27, 28, 29],
+    280: [26, 27, 28],
+    290: [25, 26, 27, 76],
+    300: [24, 25, 26, 76],
+    310: [22, 23, 24, 76],
+    320: [21, 22, 23, 76],
+    330: [20, 21, 22, 76],
+    340: [19, 20, 21, 76],
+    350: [18, 19, 20, 76],
+    360: [17, 18, 19, 76],
+    370: [15, 16, 17, 18, 76],
+    380: [14, 15, 16, 17, 76],
+    390: [13, 14, 15, 76],
+    400: [12, 13, 14, 76],
+    410: [10, 11, 12, 13, 76],
+    420: [9, 10, 11, 12, 76],
+    430: [8, 9, 10, 76],
+    440: [7, 8, 9, 76],
+    450: [6, 7, 8, 76],
+    460: [4, 5, 6, 7, 76],
+    470: [3, 4, 5, 76],
+    480: [2, 3, 4, 76],
+    490: [2, 3, 76]
+  },
+  590: {
+    0: [50, 51],
+    10: [49, 50, 75],
+    20: [48, 49, 75],
+    30: [47, 48, 49, 75],
+    40: [47, 48, 75],
+    50: [46, 47, 75],
+    60: [45, 46, 47, 75],
+    70: [45, 46, 75],
+    80: [44, 45, 75],
+    90: [43, 44, 45, 75],
+    100: [42, 43, 44, 75],
+    110: [41, 42, 43, 75],
+    120: [41, 42, 75],
+    130: [40, 41, 75],
+    140: [39, 40, 41, 75],
+    150: [38, 39, 40, 75],
+    160: [37, 38, 39, 75],
+    170: [36, 37, 38, 75],
+    180: [35, 36, 37, 75],
+    190: [34, 35, 36, 75],
+    200: [34, 35, 75],
+    210: [33, 34, 75],
+    220: [32, 33, 75],
+    230: [31, 32, 33, 75],
+    240: [30, 31, 75],
+    250: [29, 30, 31, 75],
+    260: [28, 29, 30, 75],
+    270: [27, 28, 75],
+    280: [25, 26, 27, 28, 75],
+    290: [25, 26, 75],
+    300: [23, 24, 25, 75],
+    310: [22, 23, 24, 75],
+    320: [21, 22, 23, 75],
+    330: [20, 21, 22, 75],
+    340: [19, 20, 21, 75],
+    350: [18, 19, 20, 75],
+    360: [17, 18, 19, 75],
+    370: [15, 16, 17, 18, 75],
+    380: [14, 15, 16, 75],
+    390: [13, 14, 15, 75],
+    400: [12, 13, 14, 75],
+    410: [10, 11, 12, 13],
+    420: [9, 10, 11, 12],
+    430: [8, 9, 10],
+    440: [7, 8, 9],
+    450: [6, 7, 8],
+    460: [4, 5, 6, 7],
+    470: [3, 4, 5],
+    480: [3, 4],
+    490: [3]
+  },
+  600: {
+    0: [49, 50, 74],
+    10: [48, 49, 50, 74],
+    20: [48, 49, 74],
+    30: [47, 48, 74],
+    40: [46, 47, 48, 74],
+    50: [46, 47, 74],
+    60: [45, 46, 74],
+    70: [44, 45, 74],
+    80: [43, 44, 45, 74],
+    90: [43, 44, 74],
+    100: [42, 43],
+    110: [41, 42],
+    120: [40, 41, 42],
+    130: [39, 40, 41, 75],
+    140: [39, 40, 75],
+    150: [38, 39, 75],
+    160: [37, 38, 75],
+    170: [36, 37, 38, 75],
+    180: [35, 36, 37, 75],
+    190: [34, 35, 36, 75],
+    200: [33, 34, 35, 75],
+    210: [32, 33, 34, 75],
+    220: [31, 32, 33, 75],
+    230: [30, 31, 32, 75],
+    240: [29, 30, 31, 75],
+    250: [28, 29, 30, 75],
+    260: [27, 28, 29, 75],
+    270: [26, 27, 28, 75],
+    280: [25, 26, 27, 75],
+    290: [24, 25, 26, 75],
+    300: [23, 24, 25, 75],
+    310: [22, 23, 24, 75],
+    320: [21, 22, 23, 75],
+    330: [20, 21, 22, 75],
+    340: [19, 20, 21, 75],
+    350: [18, 19, 20, 75],
+    360: [16, 17, 18, 75],
+    370: [15, 16, 17, 75],
+    380: [14, 15, 16, 75],
+    390: [13, 14, 15, 75],
+    400: [12, 13, 14, 75],
+    410: [11, 12, 13, 75],
+    420: [9, 10, 11, 75],
+    430: [8, 9, 10, 75],
+    440: [7, 8, 9, 75],
+    450: [6, 7, 8, 75],
+    460: [4, 5, 6, 7, 75],
+    470: [3, 4, 5, 6, 75],
+    480: [3, 4, 75],
+    490: [3, 75]
+  },
+  610: {
+    0: [49, 50, 74],
+    10: [48, 49, 74],
+    20: [47, 48, 74],
+    30: [47, 48, 74],
+    40: [46, 47, 74],
+    50: [45, 46, 74],
+    60: [44, 45, 46, 74],
+    70: [44, 45, 74],
+    80: [43, 44, 74],
+    90: [42, 43, 44, 74],
+    100: [41, 42, 43, 74],
+    110: [41, 42, 74],
+    120: [40, 41, 74],
+    130: [39, 40, 74],
+    140: [38, 39, 40, 74],
+    150: [37, 38, 39, 74],
+    160: [36, 37, 38, 74],
+    170: [36, 37, 74],
+    180: [35, 36, 74],
+    190: [34, 35, 74],
+    200: [33, 34, 74],
+    210: [32, 33, 34, 74],
+    220: [31, 32, 33, 74],
+    230: [30, 31, 32],
+    240: [29, 30, 31],
+    250: [28, 29, 30],
+    260: [27, 28, 29],
+    270: [26, 27, 28, 75],
+    280: [25, 26, 27, 75],
+    290: [24, 25, 26, 75],
+    300: [23, 24, 25, 75],
+    310: [22, 23, 24, 75],
+    320: [21, 22, 23, 75],
+    330: [20, 21, 22, 75],
+    340: [19, 20, 75],
+    350: [17, 18, 19, 75],
+    360: [16, 17, 18, 75],
+    370: [15, 16, 17, 75],
+    380: [14, 15, 16, 75],
+    390: [13, 14, 15, 75],
+    400: [12, 13, 14, 75],
+    410: [10, 11, 12, 75],
+    420: [9, 10, 11, 75],
+    430: [8, 9, 10, 75],
+    440: [7, 8, 9, 75],
+    450: [6, 7, 8, 75],
+    460: [5, 6, 7, 75],
+    470: [4, 5, 6, 75],
+    480: [3, 4, 75],
+    490: [3, 75]
+  },
+  620: {
+    0: [48, 49, 73],
+    10: [47, 48, 49, 73],
+    20: [47, 48, 74],
+    30: [46, 47, 74],
+    40: [45, 46, 47, 74],
+    50: [45, 46, 74],
+    60: [44, 45, 74],
+    70: [43, 44, 45, 74],
+    80: [42, 43, 44, 74],
+    90: [42, 43, 74],
+    100: [41, 42, 74],
+    110: [40, 41, 42, 74],
+    120: [39, 40, 41, 74],
+    130: [39, 40, 74],
+    140: [38, 39, 74],
+    150: [37, 38, 74],
+    160: [36, 37, 38, 74],
+    170: [35, 36, 37, 74],
+    180: [34, 35, 36, 74],
+    190: [33, 34, 35, 74],
+    200: [32, 33, 34, 74],
+    210: [32, 33, 74],
+    220: [31, 32, 74],
+    230: [30, 31, 74],
+    240: [29, 30, 74],
+    250: [28, 29, 74],
+    260: [27, 28, 29, 74],
+    270: [26, 27, 74],
+    280: [25, 26, 27, 74],
+    290: [24, 25, 26, 74],
+    300: [23, 24, 74],
+    310: [21, 22, 23, 74],
+    320: [21, 22, 74],
+    330: [19, 20, 21, 74],
+    340: [18, 19, 20, 74],
+    350: [17, 18, 19, 74],
+    360: [16, 17, 18, 74],
+    370: [15, 16, 17, 74],
+    380: [14, 15, 16, 74],
+    390: [13, 14, 15, 74],
+    400: [12, 13, 14],
+    410: [10, 11, 12, 13],
+    420: [9, 10, 11],
+    430: [8, 9, 10],
+    440: [7, 8, 9],
+    450: [6, 7, 8],
+    460: [5, 6, 7],
+    470: [4, 5, 75],
+    480: [3, 4, 75],
+    490: [3]
+  },
+  630: {
+    0: [48, 49, 73],
+    10: [47, 48, 73],
+    20: [46, 47, 48, 73],
+    30: [46, 47, 73],
+    40: [45, 46, 73],
+    50: [44, 45, 46, 73],
+    60: [44, 45, 73],
+    70: [43, 44, 73],
+    80: [42, 43, 73],
+    90: [41, 42, 43, 73],
+    100: [41, 42, 73],
+    110: [40, 41],
+    120: [39, 40],
+    130: [38, 39, 40, 74],
+    140: [37, 38, 39, 74],
+    150: [36, 37, 38, 74],
+    160: [36, 37, 74],
+    170: [35, 36, 74],
+    180: [34, 35, 74],
+    190: [33, 34, 35, 74],
+    200: [32, 33, 34, 74],
+    210: [31, 32, 33, 74],
+    220: [30, 31, 32, 74],
+    230: [29, 30, 31, 74],
+    240: [28, 29, 30, 74],
+    250: [27, 28, 29, 74],
+    260: [26, 27, 28, 74],
+    270: [25, 26, 27, 74],
+    280: [24, 25, 26, 74],
+    290: [23, 24, 25, 74],
+    300: [22, 23, 24, 74],
+    310: [21, 22, 23, 74],
+    320: [20, 21, 22, 74],
+    330: [19, 20, 21, 74],
+    340: [18, 19, 20, 74],
+    350: [17, 18, 19, 74],
+    360: [16, 17, 18, 74],
+    370: [15, 16, 17, 74],
+    380: [14, 15, 16, 74],
+    390: [13, 14, 15, 74],
+    400: [12, 13, 14, 74],
+    410: [11, 12, 74],
+    420: [9, 10, 11, 74],
+    430: [8, 9, 10, 74],
+    440: [7, 8, 9, 74],
+    450: [6, 7, 8, 74],
+    460: [5, 6, 7, 74],
+    470: [4, 5, 6, 74],
+    480: [3, 4, 5, 74],
+    490: [3, 4, 74]
+  },
+  640: {
+    0: [47, 48, 73],
+    10: [47, 48, 73],
+    20: [46, 47, 73],
+    30: [45, 46, 73],
+    40: [45, 46, 73],
+    50: [44, 45, 73],
+    60: [43, 44, 73],
+    70: [42, 43, 44, 73],
+    80: [42, 43, 73],
+    90: [41, 42, 73],
+    100: [40, 41, 73],
+    110: [39, 40, 41, 73],
+    120: [39, 40, 73],
+    130: [38, 39, 73],
+    140: [37, 38, 73],
+    150: [36, 37, 38, 73],
+    160: [35, 36, 37, 73],
+    170: [34, 35, 36, 73],
+    180: [34, 35, 73],
+    190: [33, 34, 73],
+    200: [32, 33, 73],
+    210: [31, 32, 33, 73],
+    220: [30, 31, 32, 73],
+    230: [29, 30, 31],
+    240: [28, 29, 30],
+    250: [27, 28, 29],
+    260: [26, 27, 28, 74],
+    270: [25, 26, 27, 74],
+    280: [24, 25, 26, 74],
+    290: [23, 24, 25, 74],
+    300: [22, 23, 24, 74],
+    310: [21, 22, 23, 74],
+    320: [20, 21, 22, 74],
+    330: [19, 20, 21, 74],
+    340: [18, 19, 20, 74],
+    350: [17, 18, 19, 74],
+    360: [16, 17, 18, 74],
+    370: [15, 16, 17, 74],
+    380: [14, 15, 16, 74],
+    390: [13, 14, 15, 74],
+    400: [12, 13, 74],
+    410: [10, 11, 12, 74],
+    420: [9, 10, 11, 74],
+    430: [8, 9, 10, 74],
+    440: [7, 8, 9, 74],
+    450: [6, 7, 8, 74],
+    460: [5, 6, 7, 74],
+    470: [4, 5, 6, 74],
+    480: [3, 4, 5, 74],
+    490: [3, 4, 74]
+  },
+  650: {
+    0: [47, 48, 72],
+    10: [46, 47, 72],
+    20: [46, 47, 72],
+    30: [45, 46, 73],
+    40: [44, 45, 73],
+    50: [43, 44, 45, 73],
+    60: [43, 44, 73],
+    70: [42, 43, 73],
+    80: [41, 42, 43, 73],
+    90: [41, 42, 73],
+    100: [40, 41, 73],
+    110: [39, 40, 73],
+    120: [38, 39, 40, 73],
+    130: [37, 38, 39, 73],
+    140: [37, 38, 73],
+    150: [36, 37, 73],
+    160: [35, 36, 73],
+    170: [34, 35, 36, 73],
+    180: [33, 34, 35, 73],
+    190: [32, 33, 34, 73],
+    200: [31, 32, 33, 73],
+    210: [31, 32, 73],
+    220: [30, 31, 73],
+    230: [29, 30, 73],
+    240: [28, 29, 73],
+    250: [27, 28, 29, 73],
+    260: [26, 27, 28, 73],
+    270: [25, 26, 27, 73],
+    280: [24, 25, 26, 73],
+    290: [23, 24, 25, 73],
+    300: [22, 23, 24, 73],
+    310: [21, 22, 23, 73],
+    320: [20, 21, 22, 73],
+    330: [19, 20, 21, 73],
+    340: [18, 19, 20, 73],
+    350: [17, 18, 19, 73],
+    360: [16, 17, 18, 73],
+    370: [15, 16, 17, 73],
+    380: [14, 15],
+    390: [13, 14],
+    400: [11, 12, 13],
+    410: [10, 11, 12],
+    420: [9, 10, 11],
+    430: [8, 9, 10],
+    440: [7, 8, 9, 74],
+    450: [6, 7, 8, 74],
+    460: [5, 6, 7, 74],
+    470: [4, 5, 6, 74],
+    480: [3, 4, 5, 74],
+    490: [3, 4, 74]
+  },
+  660: {
+    0: [46, 47, 48, 72],
+    10: [46, 47, 72],
+    20: [45, 46, 72],
+    30: [44, 45, 46, 72],
+    40: [44, 45, 72],
+    50: [43, 44, 72],
+    60: [42, 43, 44, 72],
+    70: [42, 43, 72],
+    80: [41, 42, 72],
+    90: [40, 41, 72],
+    100: [39, 40, 41, 72],
+    110: [39, 40, 72],
+    120: [38, 39],
+    130: [37, 38],
+    140: [36, 37, 38, 73],
+    150: [35, 36, 37, 73],
+    160: [35, 36, 73],
+    170: [34, 35, 73],
+    180: [33, 34, 73],
+    190: [32, 33, 34, 73],
+    200: [31, 32, 33, 73],
+    210: [30, 31, 32, 73],
+    220: [29, 30, 31, 73],
+    230: [28, 29, 30, 73],
+    240: [28, 29, 73],
+    250: [27, 28, 73],
+    260: [26, 27, 73],
+    270: [25, 26, 73],
+    280: [24, 25, 73],
+    290: [23, 24, 73],
+    300: [22, 23, 24, 73],
+    310: [21, 22, 23, 73],
+    320: [20, 21, 22, 73],
+    330: [19, 20, 73],
+    340: [18, 19, 20, 73],
+    350: [17, 18, 19, 73],
+    360: [16, 17, 18, 73],
+    370: [15, 16, 73],
+    380: [14, 15, 73],
+    390: [13, 14, 73],
+    400: [12, 13, 73],
+    410: [11, 12, 73],
+    420: [9, 10, 11, 73],
+    430: [8, 9, 10, 73],
+    440: [7, 8, 9, 73],
+    450: [6, 7, 8, 73],
+    460: [5, 6, 7, 73],
+    470: [4, 5, 6, 73],
+    480: [4, 5, 73],
+    490: [4, 73]
+  },
+  670: {
+    0: [46, 47, 72],
+    10: [45, 46, 47, 72],
+    20: [45, 46, 72],
+    30: [44, 45, 72],
+    40: [43, 44, 45, 72],
+    50: [43, 44, 72],
+    60: [42, 43, 72],
+    70: [41, 42, 72],
+    80: [41, 42, 72],
+    90: [40, 41, 72],
+    100: [39, 40, 72],
+    110: [38, 39, 40, 72],
+    120: [37, 38, 39, 72],
+    130: [37, 38, 72],
+    140: [36, 37, 72],
+    150: [35, 36, 37, 72],
+    160: [34, 35, 36, 72],
+    170: [34, 35, 72],
+    180: [33, 34, 72],
+    190: [32, 33, 72],
+    200: [31, 32, 72],
+    210: [30, 31, 32, 72],
+    220: [29, 30, 31, 72],
+    230: [28, 29, 30, 72],
+    240: [27, 28, 29],
+    250: [26, 27, 28],
+    260: [25, 26, 27, 73],
+    270: [25, 26, 73],
+    280: [24, 25, 73],
+    290: [23, 24, 73],
+    300: [22, 23, 73],
+    310: [21, 22, 73],
+    320: [20, 21, 73],
+    330: [19, 20, 73],
+    340: [18, 19, 73],
+    350: [17, 18, 73],
+    360: [16, 17, 73],
+    370: [15, 16, 73],
+    380: [14, 15, 73],
+    390: [13, 14, 73],
+    400: [12, 13, 73],
+    410: [10, 11, 12, 73],
+    420: [9, 10, 11, 73],
+    430: [8, 9, 10, 73],
+    440: [7, 8, 9, 73],
+    450: [6, 7, 8, 73],
+    460: [5, 6, 7, 73],
+    470: [4, 5, 6, 73],
+    480: [4, 5, 73],
+    490: [4, 73]
+  },
+  680: {
+    0: [46, 47, 71],
+    10: [45, 46, 71],
+    20: [44, 45, 46, 71],
+    30: [44, 45, 71],
+    40: [43, 44, 71],
+    50: [42, 43, 44, 72],
+    60: [42, 43, 72],
+    70: [41, 42, 72],
+    80: [40, 41, 72],
+    90: [40, 41, 72],
+    100: [39, 40, 72],
+    110: [38, 39, 72],
+    120: [37, 38, 72],
+    130: [36, 37, 38, 72],
+    140: [36, 37, 72],
+    150: [35, 36, 72],
+    160: [34, 35, 72],
+    170: [33, 34, 35, 72],
+    180: [32, 33, 34, 72],
+    190: [31, 32, 33, 72],
+    200: [31, 32, 72],
+    210: [30, 31, 72],
+    220: [29, 30, 72],
+    230: [28, 29, 30, 72],
+    240: [27, 28, 29, 72],
+    250: [26, 27, 28, 72],
+    260: [25, 26, 27, 72],
+    270: [24, 25, 26, 72],
+    280: [23, 24, 25, 72],
+    290: [23, 24, 72],
+    300: [21, 22, 23, 72],
+    310: [20, 21, 22, 72],
+    320: [20, 21, 72],
+    330: [19, 20, 72],
+    340: [18, 19, 72],
+    350: [17, 18, 72],
+    360: [16, 17, 72],
+    370: [15, 16, 72],
+    380: [14, 15],
+    390: [13, 14],
+    400: [11, 12, 13],
+    410: [10, 11, 12],
+    420: [9, 10, 11],
+    430: [8, 9, 10, 73],
+    440: [8, 9, 73],
+    450: [6, 7, 8, 73],
+    460: [5, 6, 7, 73],
+    470: [4, 5, 6, 73],
+    480: [4, 5, 73],
+    490: [4, 73]
+  },
+  690: {
+    0: [45, 46, 71],
+    10: [45, 46, 71],
+    20: [44, 45, 71],
+    30: [43, 44, 45, 71],
+    40: [43, 44, 71],
+    50: [42, 43, 71],
+    60: [41, 42, 71],
+    70: [41, 42, 71],
+    80: [40, 41, 71],
+    90: [39, 40, 71],
+    100: [38, 39, 40, 71],
+    110: [38, 39, 71],
+    120: [37, 38, 71],
+    130: [36, 37, 71],
+    140: [35, 36, 37],
+    150: [35, 36, 72],
+    160: [34, 35, 72],
+    170: [33, 34, 72],
+    180: [32, 33, 72],
+    190: [31, 32, 33, 72],
+    200: [30, 31, 32, 72],
+    210: [29, 30, 31, 72],
+    220: [29, 30, 72],
+    230: [28, 29, 72],
+    240: [27, 28, 72],
+    250: [26, 27, 28, 72],
+    260: [25, 26, 27, 72],
+    270: [24, 25, 26, 72],
+    280: [23, 24, 25, 72],
+    290: [22, 23, 24, 72],
+    300: [21, 22, 23, 72],
+    310: [20, 21, 22, 72],
+    320: [19, 20, 21, 72],
+    330: [18, 19, 20, 72],
+    340: [17, 18, 19, 72],
+    350: [17, 18, 72],
+    360: [16, 17, 72],
+    370: [15, 16, 72],
+    380: [13, 14, 15, 72],
+    390: [12, 13, 14, 72],
+    400: [12, 13, 72],
+    410: [11, 12, 72],
+    420: [10, 11, 72],
+    430: [9, 10, 72],
+    440: [7, 8, 9, 72],
+    450: [6, 7, 8, 72],
+    460: [5, 6, 7, 72],
+    470: [4, 5, 6, 72],
+    480: [4, 5, 72],
+    490: [4, 72]
+  },
+  700: {
+    0: [45, 46, 71],
+    10: [44, 45, 71],
+    20: [44, 45, 71],
+    30: [43, 44, 71],
+    40: [42, 43, 44, 71],
+    50: [42, 43, 71],
+    60: [41, 42, 71],
+    70: [40, 41, 71],
+    80: [40, 41, 71],
+    90: [39, 40, 71],
+    100: [38, 39, 71],
+    110: [37, 38, 39, 71],
+    120: [37, 38, 71],
+    130: [36, 37, 71],
+    140: [35, 36, 71],
+    150: [34, 35, 36, 71],
+    160: [33, 34, 35, 71],
+    170: [33, 34, 71],
+    180: [32, 33, 71],
+    190: [31, 32, 71],
+    200: [30, 31, 32, 71],
+    210: [29, 30, 31, 71],
+    220: [28, 29, 30, 71],
+    230: [28, 29, 71],
+    240: [27, 28],
+    250: [26, 27],
+    260: [25, 26],
+    270: [24, 25, 26, 72],
+    280: [23, 24, 25, 72],
+    290: [22, 23, 24, 72],
+    300: [21, 22, 23, 72],
+    310: [20, 21, 22, 72],
+    320: [19, 20, 21, 72],
+    330: [18, 19, 20, 72],
+    340: [17, 18, 19, 72],
+    350: [16, 17, 18, 72],
+    360: [15, 16, 17, 72],
+    370: [14, 15, 16, 72],
+    380: [14, 15, 72],
+    390: [13, 14, 72],
+    400: [12, 13, 72],
+    410: [11, 12, 72],
+    420: [10, 11, 72],
+    430: [9, 10, 72],
+    440: [8, 9, 72],
+    450: [7, 8, 72],
+    460: [6, 7, 72],
+    470: [5, 6, 72],
+    480: [4, 5, 72],
+    490: [4, 72]
+  },
+  710: {
+    0: [45, 46, 70],
+    10: [44, 45, 70],
+    20: [43, 44, 70],
+    30: [43, 44, 70],
+    40: [42, 43, 70],
+    50: [41, 42, 43, 70],
+    60: [41, 42, 70, 71],
+    70: [40, 41, 71],
+    80: [39, 40, 71],
+    90: [39, 40, 71],
+    100: [38, 39, 71],
+    110: [37, 38, 71],
+    120: [36, 37, 71],
+    130: [36, 37, 71],
+    140: [35, 36, 71],
+    150: [34, 35, 71],
+    160: [33, 34, 71],
+    170: [32, 33, 34, 71],
+    180: [32, 33, 71],
+    190: [31, 32, 71],
+    200: [30, 31, 71],
+    210: [29, 30, 71],
+    220: [28, 29, 30, 71],
+    230: [27, 28, 29, 71],
+    240: [26, 27, 28, 71],
+    250: [26, 27, 71],
+    260: [25, 26, 71],
+    270: [24, 25, 71],
+    280: [23, 24, 71],
+    290: [22, 23, 24, 71],
+    300: [21, 22, 23, 71],
+    310: [20, 21, 22, 71],
+    320: [19, 20, 21, 71],
+    330: [18, 19, 20, 71],
+    340: [17, 18, 19, 71],
+    350: [16, 17, 18, 71],
+    360: [15, 16, 17, 71],
+    370: [15, 16, 71],
+    380: [14, 15],
+    390: [13, 14],
+    400: [12, 13],
+    410: [11, 12, 72],
+    420: [10, 11, 72],
+    430: [9, 10, 72],
+    440: [8, 9, 72],
+    450: [7, 8, 72],
+    460: [6, 7, 72],
+    470: [5, 6, 72],
+    480: [4, 5, 72],
+    490: [4, 72]
+  },
+  720: {
+    0: [44, 45, 70],
+    10: [44, 45, 70],
+    20: [43, 44, 70],
+    30: [42, 43, 70],
+    40: [42, 43, 70],
+    50: [41, 42, 70],
+    60: [40, 41, 70],
+    70: [40, 41, 70],
+    80: [39, 40, 70],
+    90: [38, 39, 70],
+    100: [38, 39, 70],
+    110: [37, 38, 70],
+    120: [36, 37, 70],
+    130: [35, 36, 70],
+    140: [35, 36, 70],
+    150: [34, 35],
+    160: [33, 34, 71],
+    170: [32, 33, 71],
+    180: [31, 32, 33, 71],
+    190: [30, 31, 32, 71],
+    200: [30, 31, 71],
+    210: [29, 30, 71],
+    220: [28, 29, 71],
+    230: [27, 28, 29, 71],
+    240: [26, 27, 28, 71],
+    250: [25, 26, 27, 71],
+    260: [25, 26, 71],
+    270: [24, 25, 71],
+    280: [23, 24, 71],
+    290: [22, 23, 71],
+    300: [21, 22, 71],
+    310: [20, 21, 22, 71],
+    320: [19, 20, 21, 71],
+    330: [18, 19, 20, 71],
+    340: [17, 18, 19, 71],
+    350: [16, 17, 18, 71],
+    360: [15, 16, 17, 71],
+    370: [15, 16, 71],
+    380: [13, 14, 15, 71],
+    390: [12, 13, 14, 71],
+    400: [12, 13, 71],
+    410: [11, 12, 71],
+    420: [10, 11, 71],
+    430: [9, 10, 71],
+    440: [8, 9, 71],
+    450: [7, 8, 71],
+    460: [6, 7, 71],
+    470: [5, 6, 71],
+    480: [4, 5, 71],
+    490: [4, 71],
+    500: [4]
+  },
+  730: {
+    0: [44, 45, 69],
+    10: [44, 69, 70],
+    20: [43, 44, 70],
+    30: [42, 43, 70],
+    40: [42, 43, 70],
+    50: [41, 42, 70],
+    60: [40, 41, 70],
+    70: [39, 40, 70],
+    80: [39, 40, 70],
+    90: [38, 39, 70],
+    100: [37, 38, 70],
+    110: [36, 37, 38, 70],
+    120: [36, 37, 70],
+    130: [35, 36, 70],
+    140: [34, 35, 70],
+    150: [33, 34, 35, 70],
+    160: [33, 34, 70],
+    170: [32, 33, 70],
+    180: [31, 32, 70],
+    190: [30, 31, 32, 70],
+    200: [30, 31, 70],
+    210: [29, 30, 70],
+    220: [28, 29, 70],
+    230: [27, 28, 70],
+    240: [26, 27, 70],
+    250: [25, 26, 27, 70],
+    260: [24, 25, 26],
+    270: [24, 25, 71],
+    280: [23, 24, 71],
+    290: [22, 23, 71],
+    300: [21, 22, 71],
+    310: [20, 21, 71],
+    320: [19, 20, 21, 71],
+    330: [18, 19, 20, 71],
+    340: [17, 18, 19, 71],
+    350: [16, 17, 18, 71],
+    360: [15, 16, 17, 71],
+    370: [14, 15, 16, 71],
+    380: [13, 14, 15, 71],
+    390: [13, 14, 71],
+    400: [12, 13, 71],
+    410: [11, 12, 71],
+    420: [10, 11, 71],
+    430: [9, 10, 71],
+    440: [8, 9, 71],
+    450: [7, 8, 71],
+    460: [6, 7, 71],
+    470: [5, 6, 7, 71],
+    480: [5, 6, 71],
+    490: [4, 5, 71],
+    500: [71]
+  },
+  740: {
+    0: [44, 45, 69],
+    10: [43, 44, 69],
+    20: [43, 44, 69],
+    30: [42, 43, 69],
+    40: [41, 42, 69],
+    50: [41, 42, 69],
+    60: [40, 41, 69],
+    70: [39, 40, 69],
+    80: [38, 39, 69, 70],
+    90: [38, 39, 70],
+    100: [37, 38, 70],
+    110: [36, 37, 70],
+    120: [35, 36, 37, 70],
+    130: [35, 36, 70],
+    140: [34, 35, 70],
+    150: [33, 34, 70],
+    160: [32, 33, 34, 70],
+    170: [32, 33, 70],
+    180: [31, 32, 70],
+    190: [30, 31, 70],
+    200: [29, 30, 31, 70],
+    210: [28, 29, 30, 70],
+    220: [28, 29, 70],
+    230: [27, 28, 70],
+    240: [26, 27, 70],
+    250: [25, 26, 70],
+    260: [24, 25, 26, 70],
+    270: [23, 24, 25, 70],
+    280: [22, 23, 24, 70],
+    290: [22, 23, 70],
+    300: [21, 22, 70],
+    310: [20, 21, 70],
+    320: [19, 20, 70],
+    330: [18, 19, 20, 70],
+    340: [17, 18, 19, 70],
+    350: [16, 17, 18, 70],
+    360: [15, 16, 17, 70],
+    370: [14, 15, 16, 70],
+    380: [14, 15],
+    390: [13, 14],
+    400: [12, 13],
+    410: [11, 12, 71],
+    420: [10, 11, 71],
+    430: [9, 10, 71],
+    440: [8, 9, 71],
+    450: [7, 8, 9, 71],
+    460: [6, 7, 8, 71],
+    470: [5, 6, 7, 71],
+    480: [5, 6, 71],
+    490: [5, 71]
+  },
+  750: {
+    0: [44, 45, 69],
+    10: [43, 44, 69],
+    20: [42, 43, 69],
+    30: [42, 43, 69],
+    40: [41, 42, 69],
+    50: [40, 41, 69],
+    60: [40, 41, 69],
+    70: [39, 40, 69],
+    80: [38, 39, 69],
+    90: [37, 38, 39, 69],
+    100: [37, 38, 69],
+    110: [36, 37, 69],
+    120: [35, 36, 69],
+    130: [35, 36, 69],
+    140: [34, 35, 69],
+    150: [33, 34, 69],
+    160: [32, 33, 69],
+    170: [31, 32, 33, 70],
+    180: [31, 32, 70],
+    190: [30, 31, 70],
+    200: [29, 30, 70],
+    210: [28, 29, 30, 70],
+    220: [27, 28, 29, 70],
+    230: [27, 28, 70],
+    240: [26, 27, 70],
+    250: [25, 26, 70],
+    260: [24, 25, 70],
+    270: [23, 24, 25, 70],
+    280: [22, 23, 24, 70],
+    290: [22, 23, 70],
+    300: [21, 22, 70],
+    310: [20, 21, 70],
+    320: [19, 20, 70],
+    330: [18, 19, 70],
+    340: [17, 18, 19, 70],
+    350: [16, 17, 18, 70],
+    360: [15, 16, 17, 70],
+    370: [14, 15, 16, 70],
+    380: [14, 15, 70],
+    390: [13, 14, 70],
+    400: [12, 13, 70],
+    410: [11, 12, 70],
+    420: [10, 11, 70],
+    430: [9, 10, 70],
+    440: [8, 9, 10, 70],
+    450: [7, 8, 9, 70],
+    460: [6, 7, 8, 70],
+    470: [5, 6, 7, 70],
+    480: [5, 6, 70],
+    490: [5, 70]
+  },
+  760: {
+    0: [43, 44, 68],
+    10: [43, 44, 68],
+    20: [42, 43, 68],
+    30: [41, 42, 68, 69],
+    40: [41, 42, 69],
+    50: [40, 41, 69],
+    60: [39, 40, 69],
+    70: [39, 40, 69],
+    80: [38, 39, 69],
+    90: [37, 38, 69],
+    100: [36, 37, 38, 69],
+    110: [36, 37, 69],
+    120: [35, 36, 69],
+    130: [34, 35, 69],
+    140: [34, 35, 69],
+    150: [33, 34, 69],
+    160: [32, 33, 69],
+    170: [31, 32, 69],
+    180: [31, 32, 69],
+    190: [30, 31, 69],
+    200: [29, 30, 69],
+    210: [28, 29, 69],
+    220: [27, 28, 69],
+    230: [27, 28, 69],
+    240: [26, 27, 69],
+    250: [25, 26, 69],
+    260: [24, 25, 69],
+    270: [23, 24],
+    280: [22, 23, 24, 70],
+    290: [21, 22, 23, 70],
+    300: [21, 22, 70],
+    310: [20, 21, 70],
+    320: [19, 20, 70],
+    330: [18, 19, 70],
+    340: [17, 18, 70],
+    350: [16, 17, 18, 70],
+    360: [15, 16, 17, 70],
+    370: [14, 15, 16, 70],
+    380: [13, 14, 15, 70],
+    390: [13, 14, 70],
+    400: [12, 13, 70],
+    410: [11, 12, 70],
+    420: [10, 11, 70],
+    430: [9, 10, 70],
+    440: [8, 9, 10, 70],
+    450: [7, 8, 9, 70],
+    460: [6, 7, 8, 70],
+    470: [5, 6, 7, 70],
+    480: [5, 6, 70],
+    490: [5, 70]
+  },
+  770: {
+    0: [43, 44, 68],
+    10: [42, 43, 68],
+    20: [42, 43, 68],
+    30: [41, 42, 68],
+    40: [40, 41, 68],
+    50: [40, 41, 68],
+    60: [39, 40, 68],
+    70: [38, 39, 68],
+    80: [38, 39, 68],
+    90: [37, 38, 68],
+    100: [36, 37, 69],
+    110: [36, 37, 69],
+    120: [35, 36, 69],
+    130: [34, 35, 69],
+    140: [33, 34, 69],
+    150: [33, 34, 69],
+    160: [32, 33, 69],
+    170: [31, 32, 69],
+    180: [30, 31, 69],
+    190: [30, 31, 69],
+    200: [29, 30, 69],
+    210: [28, 29, 69],
+    220: [27, 28, 69],
+    230: [26, 27, 28, 69],
+    240: [26, 27, 69],
+    250: [25, 26, 69],
+    260: [24, 25, 69],
+    270: [23, 24, 69],
+    280: [22, 23, 24, 69],
+    290: [21, 22, 23, 69],
+    300: [20, 21, 22, 69],
+    310: [20, 21, 69],
+    320: [19, 20, 69],
+    330: [18, 19, 69],
+    340: [17, 18, 69],
+    350: [16, 17, 18, 69],
+    360: [15, 16, 17, 69],
+    370: [14, 15, 16, 69],
+    380: [14, 15, 69],
+    390: [13, 14],
+    400: [12, 13],
+    410: [11, 12],
+    420: [10, 11, 70],
+    430: [9, 10, 70],
+    440: [8, 9, 10, 70],
+    450: [7, 8, 9, 70],
+    460: [6, 7, 8, 70],
+    470: [6, 7, 70],
+    480: [5, 6, 70],
+    490: [5, 70]
+  },
+  780: {
+    0: [43, 44, 68],
+    10: [42, 43, 68],
+    20: [42, 68],
+    30: [41, 42, 68],
+    40: [40, 41, 68],
+    50: [40, 41, 68],
+    60: [39, 40, 68],
+    70: [38, 39, 68],
+    80: [37, 38, 68],
+    90: [37, 38, 68],
+    100: [36, 37, 68],
+    110: [35, 36, 68],
+    120: [35, 36, 68],
+    130: [34, 35, 68],
+    140: [33, 34, 68],
+    150: [32, 33, 68],
+    160: [32, 33, 68],
+    170: [31, 32, 68],
+    180: [30, 31, 68],
+    190: [29, 30, 69],
+    200: [29, 30, 69],
+    210: [28, 29, 69],
+    220: [27, 28, 69],
+    230: [26, 27, 69],
+    240: [25, 26, 27, 69],
+    250: [25, 26, 69],
+    260: [24, 25, 69],
+    270: [23, 24, 69],
+    280: [22, 23, 69],
+    290: [21, 22, 69],
+    300: [20, 21, 22, 69],
+    310: [20, 21, 69],
+    320: [19, 20, 69],
+    330: [18, 19, 69],
+    340: [17, 18, 69],
+    350: [16, 17, 18, 69],
+    360: [15, 16, 17, 69],
+    370: [14, 15, 16, 69],
+    380: [14, 15, 69],
+    390: [13, 14, 69],
+    400: [12, 13, 69],
+    410: [11, 12, 69],
+    420: [10, 11, 69],
+    430: [9, 10, 11, 69],
+    440: [8, 9, 10, 69],
+    450: [7, 8, 9, 69],
+    460: [7, 8, 69],
+    470: [6, 7, 69],
+    480: [5, 6, 69],
+    490: [5, 69]
+  },
+  790: {
+    0: [43, 44, 67],
+    10: [42, 43, 67],
+    20: [41, 42, 67],
+    30: [41, 42, 67],
+    40: [40, 41, 67],
+    50: [39, 40, 67, 68],
+    60: [39, 40, 68],
+    70: [38, 39, 68],
+    80: [37, 38, 68],
+    90: [37, 38, 68],
+    100: [36, 37, 68],
+    110: [35, 36, 68],
+    120: [34, 35, 68],
+    130: [34, 35, 68],
+    140: [33, 34, 68],
+    150: [32, 33, 68],
+    160: [31, 32, 33, 68],
+    170: [31, 32, 68],
+    180: [30, 31, 68],
+    190: [29, 30, 68],
+    200: [28, 29, 30, 68],
+    210: [28, 29, 68],
+    220: [27, 28, 68],
+    230: [26, 27, 68],
+    240: [25, 26, 27, 68],
+    250: [24, 25, 26, 68],
+    260: [24, 25, 68],
+    270: [23, 24, 68],
+    280: [22, 23],
+    290: [21, 22, 69],
+    300: [20, 21, 22, 69],
+    310: [20, 21, 69],
+    320: [19, 20, 69],
+    330: [18, 19, 69],
+    340: [17, 18, 69],
+    350: [16, 17, 69],
+    360: [15, 16, 17, 69],
+    370: [14, 15, 16, 69],
+    380: [14, 15, 69],
+    390: [13, 14, 69],
+    400: [12, 13, 69],
+    410: [11, 12, 69],
+    420: [10, 11, 69],
+    430: [9, 10, 11, 69],
+    440: [8, 9, 10, 69],
+    450: [8, 9, 69],
+    460: [7, 8, 69],
+    470: [6, 7, 69],
+    480: [5, 6, 69],
+    490: [5, 69]
+  },
+  800: {
+    0: [42, 43, 67],
+    10: [42, 43, 67],
+    20: [41, 42, 67],
+    30: [40, 41, 67],
+    40: [40, 41, 67],
+    50: [39, 40, 67],
+    60: [38, 39, 67],
+    70: [38, 39, 67],
+    80: [37, 38, 67],
+    90: [36, 37, 67],
+    100: [36, 37, 67],
+    110: [35, 36, 67],
+    120: [34, 35, 67, 68],
+    130: [34, 35, 68],
+    140: [33, 34, 68],
+    150: [32, 33, 68],
+    160: [31, 32, 68],
+    170: [31, 32, 68],
+    180: [30, 31, 68],
+    190: [29, 30, 68],
+    200: [28, 29, 68],
+    210: [28, 29, 68],
+    220: [27, 28, 68],
+    230: [26, 27, 68],
+    240: [25, 26, 68],
+    250: [24, 25, 26, 68],
+    260: [24, 25, 68],
+    270: [23, 24, 68],
+    280: [22, 23, 68],
+    290: [21, 22, 68],
+    300: [20, 21, 22, 68],
+    310: [19, 20, 21, 68],
+    320: [19, 20, 68],
+    330: [18, 19, 68],
+    340: [17, 18, 68],
+    350: [16, 17, 68],
+    360: [15, 16, 17, 68],
+    370: [15, 16, 68],
+    380: [14, 15, 68],
+    390: [13, 14, 68],
+    400: [12, 13],
+    410: [11, 12],
+    420: [10, 11, 12, 69],
+    430: [9, 10, 11, 69],
+    440: [8, 9, 10, 69],
+    450: [8, 9, 69],
+    460: [7, 8, 69],
+    470: [6, 7, 69],
+    480: [6, 69],
+    490: [6, 69]
+  },
+  810: {
+    0: [42, 43, 66],
+    10: [42, 66, 67],
+    20: [41, 42, 66, 67],
+    30: [40, 41, 67],
+    40: [40, 67],
+    50: [39, 40, 67],
+    60: [38, 39, 67],
+    70: [38, 39, 67],
+    80: [37, 38, 67],
+    90: [36, 37, 67],
+    100: [35, 36, 67],
+    110: [35, 36, 67],
+    120: [34, 35, 67],
+    130: [33, 34, 67],
+    140: [33, 34, 67],
+    150: [32, 33, 67],
+    160: [31, 32, 67],
+    170: [30, 31, 32, 67],
+    180: [30, 31, 67],
+    190: [29, 30, 67],
+    200: [28, 29, 67, 68],
+    210: [27, 28, 29, 68],
+    220: [27, 28, 68],
+    230: [26, 27, 68],
+    240: [25, 26, 68],
+    250: [24, 25, 68],
+    260: [23, 24, 25, 68],
+    270: [23, 24, 68],
+    280: [22, 23, 68],
+    290: [21, 22, 68],
+    300: [20, 21, 68],
+    310: [19, 20, 21, 68],
+    320: [19, 20, 68],
+    330: [18, 19, 68],
+    340: [17, 18, 68],
+    350: [16, 17, 68],
+    360: [15, 16, 17, 68],
+    370: [14, 15, 16, 68],
+    380: [14, 15, 68],
+    390: [13, 14, 68],
+    400: [12, 13, 68],
+    410: [11, 12, 68],
+    420: [10, 11, 12, 68],
+    430: [9, 10, 11, 68],
+    440: [9, 10, 68],
+    450: [8, 9, 68],
+    460: [7, 8, 68],
+    470: [6, 7, 68],
+    480: [6, 7, 68],
+    490: [6, 68]
+  },
+  820: {
+    0: [42, 43, 66],
+    10: [41, 42, 66],
+    20: [41, 42, 66],
+    30: [40, 41, 66],
+    40: [39, 40, 66],
+    50: [39, 40, 66],
+    60: [38, 39, 66],
+    70: [37, 38, 66, 67],
+    80: [37, 38, 66, 67],
+    90: [36, 37, 67],
+    100: [35, 36, 67],
+    110: [35, 36, 67],
+    120: [34, 35, 67],
+    130: [33, 34, 67],
+    140: [33, 67],
+    150: [32, 33, 67],
+    160: [31, 32, 67],
+    170: [30, 31, 67],
+    180: [30, 31, 67],
+    190: [29, 30, 67],
+    200: [28, 29, 67],
+    210: [27, 28, 67],
+    220: [27, 28, 67],
+    230: [26, 27, 67],
+    240: [25, 26, 67],
+    250: [24, 25, 67],
+    260: [23, 24, 25, 67],
+    270: [23, 24, 67],
+    280: [22, 23, 67],
+    290: [21, 22, 67],
+    300: [20, 21, 68],
+    310: [19, 20, 21, 68],
+    320: [19, 20, 68],
+    330: [18, 19, 68],
+    340: [17, 18, 68],
+    350: [16, 17, 68],
+    360: [15, 16, 17, 68],
+    370: [14, 15, 16, 68],
+    380: [14, 15, 68],
+    390: [13, 14, 68],
+    400: [12, 13, 68],
+    410: [11, 12, 68],
+    420: [10, 11, 12, 68],
+    430: [10, 11, 68],
+    440: [9, 10, 68],
+    450: [8, 9, 68],
+    460: [7, 8, 68],
+    470: [6, 7, 8, 68],
+    480: [6, 7, 68],
+    490: [6, 68],
+    500: [68]
+  },
+  830: {
+    0: [42, 43, 66],
+    10: [41, 42, 66],
+    20: [41, 66],
+    30: [40, 41, 66],
+    40: [39, 40, 66],
+    50: [39, 66],
+    60: [38, 39, 66],
+    70: [37, 38, 66],
+    80: [37, 66],
+    90: [36, 37, 66],
+    100: [35, 36, 66],
+    110: [34, 35, 66],
+    120: [34, 35, 66],
+    130: [33, 34, 66],
+    140: [32, 33, 66, 67],
+    150: [32, 33, 67],
+    160: [31, 32, 67],
+    170: [30, 31, 67],
+    180: [29, 30, 67],
+    190: [29, 30, 67],
+    200: [28, 29, 67],
+    210: [27, 28, 67],
+    220: [26, 27, 28, 67],
+    230: [26, 27, 67],
+    240: [25, 26, 67],
+    250: [24, 25, 67],
+    260: [23, 24, 67],
+    270: [23, 24, 67],
+    280: [22, 23, 67],
+    290: [21, 22, 67],
+    300: [20, 21, 67],
+    310: [19, 20, 21, 67],
+    320: [19, 20, 67],
+    330: [18, 19, 67],
+    340: [17, 18, 67],
+    350: [16, 17, 67],
+    360: [15, 16, 17, 67],
+    370: [15, 16, 67],
+    380: [14, 15, 67],
+    390: [13, 14, 67],
+    400: [12, 13, 67],
+    410: [11, 12],
+    420: [10, 11, 12],
+    430: [10, 11, 68],
+    440: [9, 10, 68],
+    450: [8, 9, 68],
+    460: [7, 8, 68],
+    470: [6, 7, 8, 68],
+    480: [6, 7, 68],
+    490: [6, 68]
+  },
+  840: {
+    0: [42, 43, 65],
+    10: [41, 42, 65],
+    20: [40, 41, 65],
+    30: [40, 41, 65],
+    40: [39, 40, 65, 66],
+    50: [38, 39, 66],
+    60: [38, 39, 66],
+    70: [37, 38, 66],
+    80: [36, 37, 66],
+    90: [36, 37, 66],
+    100: [35, 36, 66],
+    110: [34, 35, 66],
+    120: [34, 35, 66],
+    130: [33, 34, 66],
+    140: [32, 33, 66],
+    150: [31, 32, 66],
+    160: [31, 32, 66],
+    170: [30, 31, 66],
+    180: [29, 30, 66],
+    190: [29, 30, 66],
+    200: [28, 29, 66],
+    210: [27, 28, 66],
+    220: [26, 27, 66, 67],
+    230: [26, 27, 67],
+    240: [25, 26, 67],
+    250: [24, 25, 67],
+    260: [23, 24, 67],
+    270: [23, 24, 67],
+    280: [22, 23, 67],
+    290: [21, 22, 67],
+    300: [20, 21, 67],
+    310: [19, 20, 21, 67],
+    320: [19, 20, 67],
+    330: [18, 19, 67],
+    340: [17, 18, 67],
+    350: [16, 17, 67],
+    360: [15, 16, 17, 67],
+    370: [15, 16, 67],
+    380: [14, 15, 67],
+    390: [13, 14, 67],
+    400: [12, 13, 67],
+    410: [11, 12, 13, 67],
+    420: [11, 12, 67],
+    430: [10, 11, 67],
+    440: [9, 10, 67],
+    450: [8, 9, 67],
+    460: [7, 8, 67],
+    470: [6, 7, 8, 67],
+    480: [6, 7, 67],
+    490: [6, 67]
+  },
+  850: {
+    0: [42, 65],
+    10: [41, 42, 65],
+    20: [40, 41, 65],
+    30: [40, 65],
+    40: [39, 40, 65],
+    50: [38, 39, 65],
+    60: [38, 65],
+    70: [37, 38, 65],
+    80: [36, 37, 65],
+    90: [36, 65],
+    100: [35, 36, 65, 66],
+    110: [34, 35, 66],
+    120: [33, 34, 66],
+    130: [33, 34, 66],
+    140: [32, 33, 66],
+    150: [31, 32, 66],
+    160: [31, 32, 66],
+    170: [30, 31, 66],
+    180: [29, 30, 66],
+    190: [29, 66],
+    200: [28, 29, 66],
+    210: [27, 28, 66],
+    220: [26, 27, 66],
+    230: [26, 27, 66],
+    240: [25, 26, 66],
+    250: [24, 25, 66],
+    260: [23, 24, 66],
+    270: [22, 23, 24, 66],
+    280: [22, 23, 66],
+    290: [21, 22, 66],
+    300: [20, 21, 66],
+    310: [19, 20, 66],
+    320: [19, 20, 67],
+    330: [18, 19, 67],
+    340: [17, 18, 67],
+    350: [16, 17, 67],
+    360: [15, 16, 17, 67],
+    370: [15, 16, 67],
+    380: [14, 15, 67],
+    390: [13, 14, 67],
+    400: [12, 13, 67],
+    410: [11, 12, 13, 67],
+    420: [11, 12, 67],
+    430: [10, 11, 67],
+    440: [9, 10, 67],
+    450: [8, 9, 67],
+    460: [7, 8, 9, 67],
+    470: [7, 8, 67],
+    480: [6, 7, 67],
+    490: [6, 67]
+  },
+  860: {
+    0: [41, 42, 64],
+    10: [41, 42, 64, 65],
+    20: [40, 41, 64, 65],
+    30: [39, 40, 65],
+    40: [39, 40, 65],
+    50: [38, 39, 65],
+    60: [37, 38, 65],
+    70: [37, 38, 65],
+    80: [36, 37, 65],
+    90: [35, 36, 65],
+    100: [35, 36, 65],
+    110: [34, 35, 65],
+    120: [33, 34, 65],
+    130: [33, 34, 65],
+    140: [32, 33, 65],
+    150: [31, 32, 65],
+    160: [31, 32, 65],
+    170: [30, 31, 65, 66],
+    180: [29, 30, 66],
+    190: [28, 29, 66],
+    200: [28, 29, 66],
+    210: [27, 28, 66],
+    220: [26, 27, 66],
+    230: [25, 26, 66],
+    240: [25, 26, 66],
+    250: [24, 25, 66],
+    260: [23, 24, 66],
+    270: [22, 23, 24, 66],
+    280: [22, 23, 66],
+    290: [21, 22, 66],
+    300: [20, 21, 66],
+    310: [19, 20, 66],
+    320: [19, 20, 66],
+    330: [18, 19, 66],
+    340: [17, 18, 66],
+    350: [16, 17, 66],
+    360: [16, 17, 66],
+    370: [15, 16, 66],
+    380: [14, 15, 66],
+    390: [13, 14, 66],
+    400: [12, 13, 66],
+    410: [12, 13, 66],
+    420: [11, 12, 66],
+    430: [10, 11],
+    440: [9, 10, 67],
+    450: [8, 9, 67],
+    460: [8, 9, 67],
+    470: [7, 8, 67],
+    480: [6, 7, 67],
+    490: [6, 67],
+    500: [6]
+  },
+  870: {
+    0: [41, 42, 64],
+    10: [41, 64],
+    20: [40, 41, 64],
+    30: [39, 40, 64],
+    40: [39, 64],
+    50: [38, 39, 64],
+    60: [37, 38, 64, 65],
+    70: [37, 38, 64, 65],
+    80: [36, 37, 65],
+    90: [35, 36, 65],
+    100: [35, 36, 65],
+    110: [34, 35, 65],
+    120: [33, 34, 65],
+    130: [33, 65],
+    140: [32, 33, 65],
+    150: [31, 32, 65],
+    160: [30, 31, 65],
+    170: [30, 31, 65],
+    180: [29, 30, 65],
+    190: [28, 29, 65],
+    200: [28, 29, 65],
+    210: [27, 28, 65],
+    220: [26, 27, 65],
+    230: [25, 26, 65],
+    240: [25, 26, 65],
+    250: [24, 25, 66],
+    260: [23, 24, 66],
+    270: [22, 23, 66],
+    280: [22, 23, 66],
+    290: [21, 22, 66],
+    300: [20, 21, 66],
+    310: [19, 20, 66],
+    320: [19, 20, 66],
+    330: [18, 19, 66],
+    340: [17, 18, 66],
+    350: [16, 17, 66],
+    360: [16, 17, 66],
+    370: [15, 16, 66],
+    380: [14, 15, 66],
+    390: [13, 14, 66],
+    400: [12, 13, 14, 66],
+    410: [12, 13, 66],
+    420: [11, 12, 66],
+    430: [10, 11, 66],
+    440: [9, 10, 66],
+    450: [9, 10, 66],
+    460: [8, 9, 66],
+    470: [7, 8, 66],
+    480: [6, 7, 66],
+    490: [6, 7, 66],
+    500: [6]
+  },
+  880: {
+    0: [41, 42, 63, 64],
+    10: [40, 41, 64],
+    20: [40, 41, 64],
+    30: [39, 40, 64],
+    40: [38, 39, 64],
+    50: [38, 39, 64],
+    60: [37, 38, 64],
+    70: [37, 64],
+    80: [36, 37, 64],
+    90: [35, 36, 64],
+    100: [35, 64],
+    110: [34, 35, 64],
+    120: [33, 34, 64, 65],
+    130: [32, 33, 64, 65],
+    140: [32, 33, 65],
+    150: [31, 32, 65],
+    160: [30, 31, 65],
+    170: [30, 31, 65],
+    180: [29, 30, 65],
+    190: [28, 29, 65],
+    200: [28, 65],
+    210: [27, 28, 65],
+    220: [26, 27, 65],
+    230: [25, 26, 65],
+    240: [25, 26, 65],
+    250: [24, 25, 65],
+    260: [23, 24, 65],
+    270: [22, 23, 65],
+    280: [22, 23, 65],
+    290: [21, 22, 65],
+    300: [20, 21, 65],
+    310: [19, 20, 65],
+    320: [19, 20, 65],
+    330: [18, 19, 65],
+    340: [17, 18, 66],
+    350: [16, 17, 66],
+    360: [16, 17, 66],
+    370: [15, 16, 66],
+    380: [14, 15, 66],
+    390: [13, 14, 66],
+    400: [12, 13, 14, 66],
+    410: [12, 13, 66],
+    420: [11, 12, 66],
+    430: [10, 11, 66],
+    440: [9, 10, 11, 66],
+    450: [9, 10, 66],
+    460: [8, 9, 66],
+    470: [7, 8, 66],
+    480: [7, 66],
+    490: [7, 66]
+  },
+  890: {
+    0: [41, 42, 63],
+    10: [40, 41, 63],
+    20: [40, 63],
+    30: [39, 40, 63],
+    40: [38, 39, 63, 64],
+    50: [38, 39, 63, 64],
+    60: [37, 38, 64],
+    70: [36, 37, 64],
+    80: [36, 37, 64],
+    90: [35, 36, 64],
+    100: [34, 35, 64],
+    110: [34, 35, 64],
+    120: [33, 34, 64],
+    130: [32, 33, 64],
+    140: [32, 33, 64],
+    150: [31, 32, 64],
+    160: [30, 31, 64],
+    170: [30, 64],
+    180: [29, 30, 64],
+    190: [28, 29, 64, 65],
+    200: [27, 28, 65],
+    210: [27, 28, 65],
+    220: [26, 27, 65],
+    230: [25, 26, 65],
+    240: [25, 26, 65],
+    250: [24, 25, 65],
+    260: [23, 24, 65],
+    270: [22, 23, 65],
+    280: [22, 23, 65],
+    290: [21, 22, 65],
+    300: [20, 21, 65],
+    310: [19, 20, 65],
+    320: [19, 20, 65],
+    330: [18, 19, 65],
+    340: [17, 18, 65],
+    350: [16, 17, 65],
+    360: [16, 17, 65],
+    370: [15, 16, 65],
+    380: [14, 15, 65],
+    390: [13, 14, 65],
+    400: [13, 14, 65],
+    410: [12, 13, 65],
+    420: [11, 12, 65],
+    430: [10, 11, 65],
+    440: [10, 11, 65],
+    450: [9, 10],
+    460: [8, 9, 66],
+    470: [7, 8, 66],
+    480: [7, 66],
+    490: [7]
+  },
+  900: {
+    0: [41, 42, 63],
+    10: [40, 41, 63],
+    20: [40, 63],
+    30: [39, 40, 63],
+    40: [38, 39, 63],
+    50: [38, 63],
+    60: [37, 38, 63],
+    70: [36, 37, 63],
+    80: [36, 63],
+    90: [35, 36, 63, 64],
+    100: [34, 35, 63, 64],
+    110: [34, 64],
+    120: [33, 34, 64],
+    130: [32, 33, 64],
+    140: [32, 64],
+    150: [31, 32, 64],
+    160: [30, 31, 64],
+    170: [29, 30, 64],
+    180: [29, 30, 64],
+    190: [28, 29, 64],
+    200: [27, 28, 64],
+    210: [27, 28, 64],
+    220: [26, 27, 64],
+    230: [25, 26, 64],
+    240: [25, 26, 64],
+    250: [24, 25, 64],
+    260: [23, 24, 64],
+    270: [22, 23, 64, 65],
+    280: [22, 23, 65],
+    290: [21, 22, 65],
+    300: [20, 21, 65],
+    310: [19, 20, 65],
+    320: [19, 20, 65],
+    330: [18, 19, 65],
+    340: [17, 18, 65],
+    350: [16, 17, 65],
+    360: [16, 17, 65],
+    370: [15, 16, 65],
+    380: [14, 15, 65],
+    390: [13, 14, 65],
+    400: [13, 14, 65],
+    410: [12, 13, 65],
+    420: [11, 12, 65],
+    430: [10, 11, 65],
+    440: [10, 11, 65],
+    450: [9, 10, 65],
+    460: [8, 9, 65],
+    470: [7, 8, 65],
+    480: [7, 8, 65],
+    490: [7, 65]
+  },
+  910: {
+    0: [41, 42, 62],
+    10: [40, 41, 62],
+    20: [39, 40, 62, 63],
+    30: [39, 40, 62, 63],
+    40: [38, 39, 63],
+    50: [38, 63],
+    60: [37, 38, 63],
+    70: [36, 37, 63],
+    80: [36, 63],
+    90: [35, 36, 63],
+    100: [34, 35, 63],
+    110: [34, 63],
+    120: [33, 34, 63],
+    130: [32, 33, 63],
+    140: [32, 63],
+    150: [31, 32, 63, 64],
+    160: [30, 31, 63, 64],
+    170: [29, 30, 64],
+    180: [29, 30, 64],
+    190: [28, 29, 64],
+    200: [27, 28, 64],
+    210: [27, 28, 64],
+    220: [26, 27, 64],
+    230: [25, 26, 64],
+    240: [25, 64],
+    250: [24, 25, 64],
+    260: [23, 24, 64],
+    270: [22, 23, 64],
+    280: [22, 23, 64],
+    290: [21, 22, 64],
+    300: [20, 21, 64],
+    310: [19, 20, 64],
+    320: [19, 20, 64],
+    330: [18, 19, 64],
+    340: [17, 18, 64],
+    350: [16, 17, 18, 64],
+    360: [16, 17, 64],
+    370: [15, 16, 65],
+    380: [14, 15, 65],
+    390: [13, 14, 15, 65],
+    400: [13, 14, 65],
+    410: [12, 13, 65],
+    420: [11, 12, 65],
+    430: [10, 11, 12, 65],
+    440: [10, 11, 65],
+    450: [9, 10, 65],
+    460: [8, 9, 65],
+    470: [8, 9, 65],
+    480: [7, 8, 65],
+    490: [7, 65]
+  },
+  920: {
+    0: [41, 62],
+    10: [40, 41, 62],
+    20: [39, 40, 62],
+    30: [39, 40, 62],
+    40: [38, 39, 62],
+    50: [37, 38, 62],
+    60: [37, 38, 62],
+    70: [36, 37, 62, 63],
+    80: [35, 36, 62, 63],
+    90: [35, 36, 63],
+    100: [34, 35, 63],
+    110: [33, 34, 63],
+    120: [33, 34, 63],
+    130: [32, 33, 63],
+    140: [31, 32, 63],
+    150: [31, 32, 63],
+    160: [30, 31, 63],
+    170: [29, 30, 63],
+    180: [29, 30, 63],
+    190: [28, 29, 63],
+    200: [27, 28, 63],
+    210: [27, 28, 63],
+    220: [26, 27, 63, 64],
+    230: [25, 26, 64],
+    240: [25, 64],
+    250: [24, 25, 64],
+    260: [23, 24, 64],
+    270: [22, 23, 64],
+    280: [22, 23, 64],
+    290: [21, 22, 64],
+    300: [20, 21, 64],
+    310: [19, 20, 64],
+    320: [19, 20, 64],
+    330: [18, 19, 64],
+    340: [17, 18, 64],
+    350: [17, 18, 64],
+    360: [16, 17, 64],
+    370: [15, 16, 64],
+    380: [14, 15, 64],
+    390: [14, 15, 64],
+    400: [13, 14, 64],
+    410: [12, 13, 64],
+    420: [11, 12, 64],
+    430: [11, 12, 64],
+    440: [10, 11, 64],
+    450: [9, 10, 64],
+    460: [8, 9, 64],
+    470: [8, 9],
+    480: [7, 8, 65],
+    490: [7, 65],
+    500: [7]
+  },
+  930: {
+    0: [41, 61],
+    10: [40, 41, 61, 62],
+    20: [39, 40, 61, 62],
+    30: [39, 62],
+    40: [38, 39, 62],
+    50: [37, 38, 62],
+    60: [37, 38, 62],
+    70: [36, 37, 62],
+    80: [35, 36, 62],
+    90: [35, 36, 62],
+    100: [34, 35, 62],
+    110: [33, 34, 62],
+    120: [33, 34, 62, 63],
+    130: [32, 33, 62, 63],
+    140: [31, 32, 63],
+    150: [31, 32, 63],
+    160: [30, 31, 63],
+    170: [29, 30, 63],
+    180: [29, 30, 63],
+    190: [28, 29, 63],
+    200: [27, 28, 63],
+    210: [27, 28, 63],
+    220: [26, 27, 63],
+    230: [25, 26, 63],
+    240: [25, 63],
+    250: [24, 25, 63],
+    260: [23, 24, 63],
+    270: [22, 23, 63],
+    280: [22, 23, 63],
+    290: [21, 22, 63],
+    300: [20, 21, 63, 64],
+    310: [19, 20, 64],
+    320: [19, 20, 64],
+    330: [18, 19, 64],
+    340: [17, 18, 64],
+    350: [17, 18, 64],
+    360: [16, 17, 64],
+    370: [15, 16, 64],
+    380: [14, 15, 64],
+    390: [14, 15, 64],
+    400: [13, 14, 64],
+    410: [12, 13, 64],
+    420: [11, 12, 13, 64],
+    430: [11, 12, 64],
+    440: [10, 11, 64],
+    450: [9, 10, 64],
+    460: [9, 10, 64],
+    470: [8, 9, 64],
+    480: [7, 8, 64],
+    490: [7, 64]
+  },
+  940: {
+    0: [41, 61],
+    10: [40, 41, 61],
+    20: [39, 40, 61],
+    30: [39, 61],
+    40: [38, 39, 61],
+    50: [37, 38, 61, 62],
+    60: [37, 61, 62],
+    70: [36, 37, 62],
+    80: [35, 36, 62],
+    90: [35, 36, 62],
+    100: [34, 35, 62],
+    110: [33, 34, 62],
+    120: [33, 34, 62],
+    130: [32, 33, 62],
+    140: [31, 32, 62],
+    150: [31, 32, 62],
+    160: [30, 31, 62],
+    170: [29, 30, 62],
+    180: [29, 30, 62, 63],
+    190: [28, 29, 62, 63],
+    200: [27, 28, 63],
+    210: [27, 63],
+    220: [26, 27, 63],
+    230: [25, 26, 63],
+    240: [25, 63],
+    250: [24, 25, 63],
+    260: [23, 24, 63],
+    270: [22, 23, 63],
+    280: [22, 23, 63],
+    290: [21, 22, 63],
+    300: [20, 21, 63],
+    310: [20, 63],
+    320: [19, 20, 63],
+    330: [18, 19, 63],
+    340: [17, 18, 63],
+    350: [17, 18, 63],
+    360: [16, 17, 63],
+    370: [15, 16, 63],
+    380: [14, 15, 63],
+    390: [14, 15, 64],
+    400: [13, 14, 64],
+    410: [12, 13, 64],
+    420: [12, 13, 64],
+    430: [11, 12, 64],
+    440: [10, 11, 64],
+    450: [9, 10, 64],
+    460: [9, 10, 64],
+    470: [8, 9, 64],
+    480: [8, 64],
+    490: [8, 64]
+  },
+  950: {
+    0: [41, 60, 61],
+    10: [40, 41, 60, 61],
+    20: [39, 40, 60, 61],
+    30: [39, 61],
+    40: [38, 39, 61],
+    50: [37, 38, 61],
+    60: [37, 61],
+    70: [36, 37, 61],
+    80: [35, 36, 61],
+    90: [35, 61],
+    100: [34, 35, 61, 62],
+    110: [33, 34, 61, 62],
+    120: [33, 62],
+    130: [32, 33, 62],
+    140: [31, 32, 62],
+    150: [31, 62],
+    160: [30, 31, 62],
+    170: [29, 30, 62],
+    180: [29, 62],
+    190: [28, 29, 62],
+    200: [27, 28, 62],
+    210: [27, 62],
+    220: [26, 27, 62],
+    230: [25, 26, 62],
+    240: [25, 62],
+    250: [24, 25, 62, 63],
+    260: [23, 24, 63],
+    270: [22, 23, 63],
+    280: [22, 23, 63],
+    290: [21, 22, 63],
+    300: [20, 21, 63],
+    310: [20, 21, 63],
+    320: [19, 20, 63],
+    330: [18, 19, 63],
+    340: [17, 18, 63],
+    350: [17, 18, 63],
+    360: [16, 17, 63],
+    370: [15, 16, 63],
+    380: [15, 16, 63],
+    390: [14, 15, 63],
+    400: [13, 14, 63],
+    410: [12, 13, 63],
+    420: [12, 13, 63],
+    430: [11, 12, 63],
+    440: [10, 11, 63],
+    450: [10, 11, 63],
+    460: [9, 10, 63],
+    470: [8, 9, 63],
+    480: [8, 63],
+    490: [8]
+  },
+  960: {
+    0: [40, 41, 60],
+    10: [40, 41, 60],
+    20: [39, 40, 60],
+    30: [39, 60],
+    40: [38, 39, 60, 61],
+    50: [37, 38, 60, 61],
+    60: [37, 61],
+    70: [36, 37, 61],
+    80: [35, 36, 61],
+    90: [35, 61],
+    100: [34, 35, 61],
+    110: [33, 34, 61],
+    120: [33, 61],
+    130: [32, 33, 61],
+    140: [31, 32, 61],
+    150: [31, 61, 62],
+    160: [30, 31, 61, 62],
+    170: [29, 30, 62],
+    180: [29, 62],
+    190: [28, 29, 62],
+    200: [27, 28, 62],
+    210: [27, 62],
+    220: [26, 27, 62],
+    230: [25, 26, 62],
+    240: [25, 62],
+    250: [24, 25, 62],
+    260: [23, 24, 62],
+    270: [22, 23, 62],
+    280: [22, 23, 62],
+    290: [21, 22, 62],
+    300: [20, 21, 62],
+    310: [20, 21, 62],
+    320: [19, 20, 62, 63],
+    330: [18, 19, 62, 63],
+    340: [18, 63],
+    350: [17, 18, 63],
+    360: [16, 17, 63],
+    370: [15, 16, 63],
+    380: [15, 16, 63],
+    390: [14, 15, 63],
+    400: [13, 14, 63],
+    410: [13, 14, 63],
+    420: [12, 13, 63],
+    430: [11, 12, 63],
+    440: [10, 11, 63],
+    450: [10, 11, 63],
+    460: [9, 10, 63],
+    470: [8, 9, 63],
+    480: [8, 9, 63],
+    490: [8, 63]
+  },
+  970: {
+    0: [40, 41, 59, 60],
+    10: [40, 41, 59, 60],
+    20: [39, 40, 60],
+    30: [38, 39, 60],
+    40: [38, 39, 60],
+    50: [37, 38, 60],
+    60: [37, 60],
+    70: [36, 37, 60],
+    80: [35, 36, 60, 61],
+    90: [35, 60, 61],
+    100: [34, 35, 61],
+    110: [33, 34, 61],
+    120: [33, 61],
+    130: [32, 33, 61],
+    140: [31, 32, 61],
+    150: [31, 61],
+    160: [30, 31, 61],
+    170: [29, 30, 61],
+    180: [29, 61],
+    190: [28, 29, 61],
+    200: [27, 28, 61],
+    210: [27, 61, 62],
+    220: [26, 27, 61, 62],
+    230: [25, 26, 62],
+    240: [25, 62],
+    250: [24, 25, 62],
+    260: [23, 24, 62],
+    270: [22, 23, 62],
+    280: [22, 23, 62],
+    290: [21, 22, 62],
+    300: [20, 21, 62],
+    310: [20, 21, 62],
+    320: [19, 20, 62],
+    330: [18, 19, 62],
+    340: [18, 19, 62],
+    350: [17, 18, 62],
+    360: [16, 17, 62],
+    370: [15, 16, 62],
+    380: [15, 16, 62],
+    390: [14, 15, 62],
+    400: [13, 14, 62],
+    410: [13, 14, 62],
+    420: [12, 13, 63],
+    430: [11, 12, 63],
+    440: [11, 12, 63],
+    450: [10, 11, 63],
+    460: [9, 10, 63],
+    470: [8, 9, 63],
+    480: [8, 9, 63],
+    490: [8, 63]
+  },
+  980: {
+    0: [40, 41, 59],
+    10: [40, 41, 59],
+    20: [39, 40, 59],
+    30: [38, 39, 59, 60],
+    40: [38, 39, 59, 60],
+    50: [37, 38, 59, 60],
+    60: [37, 60],
+    70: [36, 37, 60],
+    80: [35, 36, 60],
+    90: [35, 60],
+    100: [34, 35, 60],
+    110: [33, 34, 60],
+    120: [33, 60],
+    130: [32, 33, 60, 61],
+    140: [31, 32, 60, 61],
+    150: [31, 61],
+    160: [30, 31, 61],
+    170: [29, 30, 61],
+    180: [29, 61],
+    190: [28, 29, 61],
+    200: [27, 28, 61],
+    210: [27, 61],
+    220: [26, 27, 61],
+    230: [25, 26, 61],
+    240: [25, 61],
+    250: [24, 25, 61],
+    260: [23, 24, 61],
+    270: [22, 23, 61],
+    280: [22, 23, 61, 62],
+    290: [21, 22, 62],
+    300: [20, 21, 62],
+    310: [20, 21, 62],
+    320: [19, 20, 62],
+    330: [18, 19, 62],
+    340: [18, 19, 62],
+    350: [17, 18, 62],
+    360: [16, 17, 62],
+    370: [16, 17, 62],
+    380: [15, 16, 62],
+    390: [14, 15, 62],
+    400: [13, 14, 62],
+    410: [13, 14, 62],
+    420: [12, 13, 62],
+    430: [11, 12, 62],
+    440: [11, 12, 62],
+    450: [10, 11, 62],
+    460: [9, 10, 62],
+    470: [9, 10, 62],
+    480: [8, 9, 62],
+    490: [8, 62],
+    500: [8]
+  },
+  990: {
+    0: [40, 41, 58, 59],
+    10: [40, 41, 58, 59],
+    20: [39, 40, 59],
+    30: [38, 39, 59],
+    40: [38, 39, 59],
+    50: [37, 38, 59],
+    60: [37, 59],
+    70: [36, 37, 59, 60],
+    80: [35, 36, 59, 60],
+    90: [35, 60],
+    100: [34, 35, 60],
+    110: [33, 34, 60],
+    120: [33, 60],
+    130: [32, 33, 60],
+    140: [31, 32, 60],
+    150: [31, 60],
+    160: [30, 31, 60],
+    170: [29, 30, 60],
+    180: [29, 60, 61],
+    190: [28, 29, 60, 61],
+    200: [27, 28, 61],
+    210: [27, 61],
+    220: [26, 27, 61],
+    230: [25, 26, 61],
+    240: [25, 61],
+    250: [24, 25, 61],
+    260: [23, 24, 61],
+    270: [23, 61],
+    280: [22, 23, 61],
+    290: [21, 22, 61],
+    300: [20, 21, 61],
+    310: [20, 21, 61],
+    320: [19, 20, 61],
+    330: [18, 19, 61],
+    340: [18, 19, 61],
+    350: [17, 18, 61, 62],
+    360: [16, 17, 61, 62],
+    370: [16, 17, 62],
+    380: [15, 16, 62],
+    390: [14, 15, 62],
+    400: [14, 15, 62],
+    410: [13, 14, 62],
+    420: [12, 13, 62],
+    430: [12, 62],
+    440: [11, 12, 62],
+    450: [10, 11, 62],
+    460: [10, 62],
+    470: [9, 10, 62],
+    480: [8, 9, 62],
+    490: [8, 62],
+    500: [62]
+  },
+  1000: {
+    0: [40, 41, 58],
+    10: [40, 41, 58],
+    20: [39, 40, 58],
+    30: [38, 39, 58, 59],
+    40: [38, 39, 58, 59],
+    50: [37, 38, 59],
+    60: [36, 37, 59],
+    70: [36, 37, 59],
+    80: [35, 36, 59],
+    90: [35, 59],
+    100: [34, 35, 59],
+    110: [33, 34, 59, 60],
+    120: [33, 59, 60],
+    130: [32, 33, 59, 60],
+    140: [31, 32, 60],
+    150: [31, 60],
+    160: [30, 31, 60],
+    170: [29, 30, 60],
+    180: [29, 60],
+    190: [28, 29, 60],
+    200: [27, 28, 60],
+    210: [27, 60],
+    220: [26, 27, 60],
+    230: [25, 26, 60],
+    240: [25, 60, 61],
+    250: [24, 25, 60, 61],
+    260: [23, 24, 61],
+    270: [23, 61],
+    280: [22, 23, 61],
+    290: [21, 22, 61],
+    300: [21, 61],
+    310: [20, 21, 61],
+    320: [19, 20, 61],
+    330: [19, 61],
+    340: [18, 19, 61],
+    350: [17, 18, 61],
+    360: [16, 17, 61],
+    370: [16, 17, 61],
+    380: [15, 16, 61],
+    390: [14, 15, 61],
+    400: [14, 15, 61],
+    410: [13, 14, 61],
+    420: [12, 13, 61],
+    430: [12, 13, 61],
+    440: [11, 12, 61],
+    450: [10, 11, 61, 62],
+    460: [10, 11, 62],
+    470: [9, 10, 62],
+    480: [9, 62],
+    490: [9, 62]
+  },
+  1010: {
+    0: [41, 57, 58],
+    10: [40, 41, 57, 58],
+    20: [39, 40, 57, 58],
+    30: [39, 58],
+    40: [38, 39, 58],
+    50: [37, 38, 58],
+    60: [37, 58, 59],
+    70: [36, 37, 58, 59],
+    80: [35, 36, 58, 59],
+    90: [35, 59],
+    100: [34, 35, 59],
+    110: [33, 34, 59],
+    120: [33, 59],
+    130: [32, 33, 59],
+    140: [31, 32, 59],
+    150: [31, 59],
+    160: [30, 31, 59, 60],
+    170: [29, 30, 59, 60],
+    180: [29, 60],
+    190: [28, 29, 60],
+    200: [27, 28, 60],
+    210: [27, 60],
+    220: [26, 27, 60],
+    230: [25, 26, 60],
+    240: [25, 26, 60],
+    250: [24, 25, 60],
+    260: [23, 24, 60],
+    270: [23, 60],
+    280: [22, 23, 60],
+    290: [21, 22, 60],
+    300: [21, 60],
+    310: [20, 21, 60, 61],
+    320: [19, 20, 60, 61],
+    330: [19, 61],
+    340: [18, 19, 61],
+    350: [17, 18, 61],
+    360: [17, 61],
+    370: [16, 17, 61],
+    380: [15, 16, 61],
+    390: [15, 61],
+    400: [14, 15, 61],
+    410: [13, 14, 61],
+    420: [13, 61],
+    430: [12, 13, 61],
+    440: [11, 12, 61],
+    450: [11, 61],
+    460: [10, 11, 61],
+    470: [9, 10, 61],
+    480: [9, 61],
+    490: [9, 61]
+  },
+  1020: {
+    0: [41, 42, 57],
+    10: [40, 41, 57],
+    20: [39, 40, 57],
+    30: [39, 57, 58],
+    40: [38, 39, 57, 58],
+    50: [37, 38, 58],
+    60: [37, 58],
+    70: [36, 37, 58],
+    80: [35, 36, 58],
+    90: [35, 58],
+    100: [34, 35, 58, 59],
+    110: [33, 34, 58, 59],
+    120: [33, 58, 59],
+    130: [32, 33, 59],
+    140: [31, 32, 59],
+    150: [31, 59],
+    160: [30, 31, 59],
+    170: [29, 30, 59],
+    180: [29, 59],
+    190: [28, 29, 59],
+    200: [27, 28, 59],
+    210: [27, 28, 59, 60],
+    220: [26, 27, 59, 60],
+    230: [25, 26, 59, 60],
+    240: [25, 26, 60],
+    250: [24, 25, 60],
+    260: [23, 24, 60],
+    270: [23, 24, 60],
+    280: [22, 23, 60],
+    290: [21, 22, 60],
+    300: [21, 22, 60],
+    310: [20, 21, 60],
+    320: [19, 20, 60],
+    330: [19, 20, 60],
+    340: [18, 19, 60],
+    350: [17, 18, 60],
+    360: [17, 18, 60],
+    370: [16, 17, 60],
+    380: [15, 16, 60],
+    390: [15, 16, 60, 61],
+    400: [14, 15, 61],
+    410: [13, 14, 61],
+    420: [13, 14, 61],
+    430: [12, 13, 61],
+    440: [11, 12, 61],
+    450: [11, 12, 61],
+    460: [10, 11, 61],
+    470: [9, 10, 61],
+    480: [9, 10, 61],
+    490: [9, 61],
+    500: [61]
+  },
+  1030: {
+    0: [41, 42, 56, 57],
+    10: [40, 41, 56, 57],
+    20: [39, 40, 56, 57],
+    30: [39, 57],
+    40: [38, 39, 57],
+    50: [37, 38, 57],
+    60: [37, 57, 58],
+    70: [36, 37, 57, 58],
+    80: [35, 36, 57, 58],
+    90: [35, 58],
+    100: [34, 35, 58],
+    110: [33, 34, 58],
+    120: [33, 58],
+    130: [32, 33, 58],
+    140: [31, 32, 58, 59],
+    150: [31, 58, 59],
+    160: [30, 31, 58, 59],
+    170: [29, 30, 59],
+    180: [29, 30, 59],
+    190: [28, 29, 59],
+    200: [27, 28, 59],
+    210: [27, 28, 59],
+    220: [26, 27, 59],
+    230: [25, 26, 59],
+    240: [25, 26, 59],
+    250: [24, 25, 59],
+    260: [23, 24, 59],
+    270: [23, 24, 59],
+    280: [22, 23, 59, 60],
+    290: [21, 22, 60],
+    300: [21, 22, 60],
+    310: [20, 21, 60],
+    320: [19, 20, 60],
+    330: [19, 20, 60],
+    340: [18, 19, 60],
+    350: [17, 18, 60],
+    360: [17, 18, 60],
+    370: [16, 17, 60],
+    380: [15, 16, 60],
+    390: [15, 16, 60],
+    400: [14, 15, 60],
+    410: [14, 60],
+    420: [13, 14, 60],
+    430: [12, 13, 60],
+    440: [11, 12, 60],
+    450: [11, 12, 60],
+    460: [10, 11, 60],
+    470: [10, 60],
+    480: [9, 10, 60, 61],
+    490: [9, 61]
+  },
+  1040: {
+    0: [41, 42, 55, 56],
+    10: [40, 41, 56],
+    20: [39, 40, 56],
+    30: [39, 40, 56, 57],
+    40: [38, 39, 56, 57],
+    50: [37, 38, 56, 57],
+    60: [37, 38, 57],
+    70: [36, 37, 57],
+    80: [35, 36, 57],
+    90: [35, 57, 58],
+    100: [34, 35, 57, 58],
+    110: [33, 34, 57, 58],
+    120: [33, 58],
+    130: [32, 33, 58],
+    140: [31, 32, 58],
+    150: [31, 32, 58],
+    160: [30, 31, 58],
+    170: [29, 30, 58],
+    180: [29, 30, 58],
+    190: [28, 29, 58, 59],
+    200: [27, 28, 58, 59],
+    210: [27, 28, 58, 59],
+    220: [26, 27, 59],
+    230: [25, 26, 59],
+    240: [25, 26, 59],
+    250: [24, 25, 59],
+    260: [24, 59],
+    270: [23, 24, 59],
+    280: [22, 23, 59],
+    290: [22, 59],
+    300: [21, 22, 59],
+    310: [20, 21, 59],
+    320: [20, 59],
+    330: [19, 20, 59],
+    340: [18, 19, 59, 60],
+    350: [18, 59, 60],
+    360: [17, 18, 60],
+    370: [16, 17, 60],
+    380: [16, 60],
+    390: [15, 16, 60],
+    400: [14, 15, 60],
+    410: [14, 60],
+    420: [13, 14, 60],
+    430: [12, 13, 60],
+    440: [12, 13, 60],
+    450: [11, 12, 60],
+    460: [10, 11, 60],
+    470: [10, 11, 60],
+    480: [9, 10, 60],
+    490: [9, 60]
+  },
+  1050: {
+    0: [41, 42, 55, 56],
+    10: [40, 41, 55, 56],
+    20: [39, 40, 55, 56],
+    30: [39, 40, 55, 56],
+    40: [38, 39, 56],
+    50: [37, 38, 56],
+    60: [37, 38, 56, 57],
+    70: [36, 37, 56, 57],
+    80: [35, 36, 56, 57],
+    90: [35, 36, 57],
+    100: [34, 35, 57],
+    110: [33, 34, 57],
+    120: [33, 34, 57],
+    130: [32, 33, 57, 58],
+    140: [31, 32, 57, 58],
+    150: [31, 32, 57, 58],
+    160: [30, 31, 58],
+    170: [29, 30, 58],
+    180: [29, 30, 58],
+    190: [28, 29, 58],
+    200: [28, 58],
+    210: [27, 28, 58],
+    220: [26, 27, 58],
+    230: [26, 58],
+    240: [25, 26, 58],
+    250: [24, 25, 58, 59],
+    260: [24, 58, 59],
+    270: [23, 24, 59],
+    280: [22, 23, 59],
+    290: [22, 59],
+    300: [21, 22, 59],
+    310: [20, 21, 59],
+    320: [20, 21, 59],
+    330: [19, 20, 59],
+    340: [18, 19, 59],
+    350: [18, 19, 59],
+    360: [17, 18, 59],
+    370: [16, 17, 59],
+    380: [16, 17, 59],
+    390: [15, 16, 59],
+    400: [14, 15, 59],
+    410: [14, 15, 59],
+    420: [13, 14, 59, 60],
+    430: [12, 13, 59, 60],
+    440: [12, 13, 60],
+    450: [11, 12, 60],
+    460: [11, 60],
+    470: [10, 11, 60],
+    480: [10, 60],
+    490: [60]
+  },
+  1060: {
+    0: [41, 42, 54, 55],
+    10: [40, 41, 54, 55],
+    20: [40, 41, 55],
+    30: [39, 40, 55, 56],
+    40: [38, 39, 55, 56],
+    50: [37, 38, 55, 56],
+    60: [37, 38, 56],
+    70: [36, 37, 56],
+    80: [35, 36, 56],
+    90: [35, 36, 56, 57],
+    100: [34, 35, 56, 57],
+    110: [33, 34, 56, 57],
+    120: [33, 34, 57],
+    130: [32, 33, 57],
+    140: [31, 32, 57],
+    150: [31, 32, 57],
+    160: [30, 31, 57],
+    170: [30, 57],
+    180: [29, 30, 57, 58],
+    190: [28, 29, 57, 58],
+    200: [28, 57, 58],
+    210: [27, 28, 58],
+    220: [26, 27, 58],
+    230: [26, 58],
+    240: [25, 26, 58],
+    250: [24, 25, 58],
+    260: [24, 25, 58],
+    270: [23, 24, 58],
+    280: [22, 23, 58],
+    290: [22, 23, 58],
+    300: [21, 22, 58],
+    310: [20, 21, 58, 59],
+    320: [20, 21, 58, 59],
+    330: [19, 20, 59],
+    340: [19, 59],
+    350: [18, 19, 59],
+    360: [17, 18, 59],
+    370: [17, 59],
+    380: [16, 17, 59],
+    390: [15, 16, 59],
+    400: [15, 59],
+    410: [14, 15, 59],
+    420: [13, 14, 59],
+    430: [13, 59],
+    440: [12, 13, 59],
+    450: [11, 12, 59],
+    460: [11, 12, 59],
+    470: [10, 11, 59],
+    480: [10, 59],
+    490: [10, 59]
+  },
+  1070: {
+    0: [41, 42, 43, 53, 54],
+    10: [40, 41, 42, 54, 55],
+    20: [40, 41, 54, 55],
+    30: [39, 40, 54, 55],
+    40: [38, 39, 54, 55],
+    50: [38, 39, 55],
+    60: [37, 38, 55, 56],
+    70: [36, 37, 55, 56],
+    80: [36, 55, 56],
+    90: [35, 36, 56],
+    100: [34, 35, 56],
+    110: [34, 56],
+    120: [33, 34, 56],
+    130: [32, 33, 56, 57],
+    140: [32, 56, 57],
+    150: [31, 32, 56, 57],
+    160: [30, 31, 57],
+    170: [30, 57],
+    180: [29, 30, 57],
+    190: [28, 29, 57],
+    200: [28, 57],
+    210: [27, 28, 57],
+    220: [26, 27, 57],
+    230: [26, 27, 57, 58],
+    240: [25, 26, 57, 58],
+    250: [24, 25, 57, 58],
+    260: [24, 25, 58],
+    270: [23, 24, 58],
+    280: [22, 23, 58],
+    290: [22, 23, 58],
+    300: [21, 22, 58],
+    310: [21, 58],
+    320: [20, 21, 58],
+    330: [19, 20, 58],
+    340: [19, 58],
+    350: [18, 19, 58],
+    360: [17, 18, 58],
+    370: [17, 58],
+    380: [16, 17, 58, 59],
+    390: [15, 16, 58, 59],
+    400: [15, 16, 59],
+    410: [14, 15, 59],
+    420: [13, 14, 59],
+    430: [13, 14, 59],
+    440: [12, 13, 59],
+    450: [12, 59],
+    460: [11, 12, 59],
+    470: [10, 11, 59],
+    480: [10, 59],
+    490: [10, 59],
+    500: [59]
+  },
+  1080: {
+    0: [41, 42, 43, 52, 53, 54],
+    10: [41, 42, 53, 54],
+    20: [40, 41, 53, 54],
+    30: [39, 40, 54],
+    40: [38, 39, 54, 55],
+    50: [38, 39, 54, 55],
+    60: [37, 38, 54, 55],
+    70: [36, 37, 55],
+    80: [36, 37, 55],
+    90: [35, 36, 55, 56],
+    100: [34, 35, 55, 56],
+    110: [34, 55, 56],
+    120: [33, 34, 56],
+    130: [32, 33, 56],
+    140: [32, 56],
+    150: [31, 32, 56],
+    160: [30, 31, 56],
+    170: [30, 31, 56, 57],
+    180: [29, 30, 56, 57],
+    190: [28, 29, 56, 57],
+    200: [28, 29, 57],
+    210: [27, 28, 57],
+    220: [26, 27, 57],
+    230: [26, 27, 57],
+    240: [25, 26, 57],
+    250: [25, 57],
+    260: [24, 25, 57],
+    270: [23, 24, 57],
+    280: [23, 57],
+    290: [22, 23, 57, 58],
+    300: [21, 22, 57, 58],
+    310: [21, 58],
+    320: [20, 21, 58],
+    330: [19, 20, 58],
+    340: [19, 20, 58],
+    350: [18, 19, 58],
+    360: [17, 18, 58],
+    370: [17, 18, 58],
+    380: [16, 17, 58],
+    390: [16, 58],
+    400: [15, 16, 58],
+    410: [14, 15, 58],
+    420: [14, 58],
+    430: [13, 14, 58],
+    440: [12, 13, 58],
+    450: [12, 13, 58],
+    460: [11, 12, 58, 59],
+    470: [10, 11, 58, 59],
+    480: [10, 11, 59],
+    490: [10, 59]
+  },
+  1090: {
+    0: [42, 43, 51, 52, 53],
+    10: [41, 42, 52, 53],
+    20: [40, 41, 52, 53, 54],
+    30: [39, 40, 41, 53, 54],
+    40: [39, 40, 53, 54],
+    50: [38, 39, 54],
+    60: [37, 38, 54, 55],
+    70: [36, 37, 54, 55],
+    80: [36, 37, 54, 55],
+    90: [35, 36, 54, 55],
+    100: [34, 35, 55],
+    110: [34, 35, 55],
+    120: [33, 34, 55],
+    130: [32, 33, 55, 56],
+    140: [32, 33, 55, 56],
+    150: [31, 32, 55, 56],
+    160: [30, 31, 56],
+    170: [30, 31, 56],
+    180: [29, 30, 56],
+    190: [28, 29, 56],
+    200: [28, 29, 56],
+    210: [27, 28, 56],
+    220: [27, 56, 57],
+    230: [26, 27, 56, 57],
+    240: [25, 26, 57],
+    250: [25, 57],
+    260: [24, 25, 57],
+    270: [23, 24, 57],
+    280: [23, 57],
+    290: [22, 23, 57],
+    300: [21, 22, 57],
+    310: [21, 22, 57],
+    320: [20, 21, 57],
+    330: [20, 57],
+    340: [19, 20, 57],
+    350: [18, 19, 57, 58],
+    360: [18, 57, 58],
+    370: [17, 18, 58],
+    380: [16, 17, 58],
+    390: [16, 58],
+    400: [15, 16, 58],
+    410: [14, 15, 58],
+    420: [14, 15, 58],
+    430: [13, 14, 58],
+    440: [13, 58],
+    450: [12, 13, 58],
+    460: [11, 12, 58],
+    470: [11, 58],
+    480: [10, 11, 58],
+    490: [10, 58]
+  },
+  1100: {
+    0: [42, 43, 44, 50, 51, 52],
+    10: [41, 42, 43, 51, 52, 53],
+    20: [40, 41, 42, 52, 53],
+    30: [39, 40, 41, 52, 53],
+    40: [39, 40, 52, 53],
+    50: [38, 39, 53, 54],
+    60: [37, 38, 53, 54],
+    70: [37, 38, 53, 54],
+    80: [36, 37, 54],
+    90: [35, 36, 54, 55],
+    100: [35, 54, 55],
+    110: [34, 35, 54, 55],
+    120: [33, 34, 54, 55],
+    130: [33, 55],
+    140: [32, 33, 55],
+    150: [31, 32, 55],
+    160: [31, 55, 56],
+    170: [30, 31, 55, 56],
+    180: [29, 30, 55, 56],
+    190: [29, 55, 56],
+    200: [28, 29, 56],
+    210: [27, 28, 56],
+    220: [27, 56],
+    230: [26, 27, 56],
+    240: [25, 26, 56],
+    250: [25, 26, 56],
+    260: [24, 25, 56],
+    270: [23, 24, 56, 57],
+    280: [23, 24, 56, 57],
+    290: [22, 23, 57],
+    300: [22, 57],
+    310: [21, 22, 57],
+    320: [20, 21, 57],
+    330: [20, 57],
+    340: [19, 20, 57],
+    350: [18, 19, 57],
+    360: [18, 19, 57],
+    370: [17, 18, 57],
+    380: [17, 57],
+    390: [16, 17, 57],
+    400: [15, 16, 57],
+    410: [15, 57],
+    420: [14, 15, 57, 58],
+    430: [13, 14, 57, 58],
+    440: [13, 58],
+    450: [12, 13, 58],
+    460: [11, 12, 58],
+    470: [11, 12, 58],
+    480: [11, 58],
+    490: [58]
+  },
+  1110: {
+    0: [42, 43, 44, 45, 49, 50, 51, 52],
+    10: [41, 42, 43, 50, 51, 52],
+    20: [40, 41, 42, 51, 52],
+    30: [40, 41, 51, 52, 53],
+    40: [39, 40, 52, 53],
+    50: [38, 39, 52, 53],
+    60: [37, 38, 39, 52, 53],
+    70: [37, 38, 53, 54],
+    80: [36, 37, 53, 54],
+    90: [35, 36, 53, 54],
+    100: [35, 36, 54],
+    110: [34, 35, 54],
+    120: [33, 34, 54],
+    130: [33, 34, 54, 55],
+    140: [32, 33, 54, 55],
+    150: [31, 32, 54, 55],
+    160: [31, 32, 55],
+    170: [30, 31, 55],
+    180: [29, 30, 55],
+    190: [29, 30, 55],
+    200: [28, 29, 55],
+    210: [27, 28, 55, 56],
+    220: [27, 28, 55, 56],
+    230: [26, 27, 55, 56],
+    240: [26, 56],
+    250: [25, 26, 56],
+    260: [24, 25, 56],
+    270: [24, 56],
+    280: [23, 24, 56],
+    290: [22, 23, 56],
+    300: [22, 56],
+    310: [21, 22, 56],
+    320: [20, 21, 56, 57],
+    330: [20, 21, 56, 57],
+    340: [19, 20, 56, 57],
+    350: [19, 57],
+    360: [18, 19, 57],
+    370: [17, 18, 57],
+    380: [17, 57],
+    390: [16, 17, 57],
+    400: [15, 16, 57],
+    410: [15, 16, 57],
+    420: [14, 15, 57],
+    430: [14, 57],
+    440: [13, 14, 57],
+    450: [12, 13, 57],
+    460: [12, 57],
+    470: [11, 12, 57],
+    480: [11, 57],
+    490: [11, 57]
+  },
+  1120: {
+    0: [43, 44, 45, 46, 47, 48, 49, 50, 51],
+    10: [42, 43, 44, 45, 48, 49, 50, 51],
+    20: [41, 42, 43, 50, 51, 52],
+    30: [40, 41, 42, 50, 51, 52],
+    40: [39, 40, 41, 51, 52],
+    50: [38, 39, 40, 51, 52, 53],
+    60: [38, 39, 52, 53],
+    70: [37, 38, 52, 53],
+    80: [36, 37, 52, 53],
+    90: [36, 37, 53],
+    100: [35, 36, 53, 54],
+    110: [34, 35, 53, 54],
+    120: [33, 34, 53, 54],
+    130: [33, 34, 54],
+    140: [32, 33, 54],
+    150: [31, 32, 54],
+    160: [31, 32, 54, 55],
+    170: [30, 31, 54, 55],
+    180: [29, 30, 54, 55],
+    190: [29, 30, 54, 55],
+    200: [28, 29, 55],
+    210: [28, 55],
+    220: [27, 28, 55],
+    230: [26, 27, 55],
+    240: [26, 55],
+    250: [25, 26, 55, 56],
+    260: [24, 25, 55, 56],
+    270: [24, 25, 55, 56],
+    280: [23, 24, 55, 56],
+    290: [22, 23, 56],
+    300: [22, 23, 56],
+    310: [21, 22, 56],
+    320: [21, 56],
+    330: [20, 21, 56],
+    340: [19, 20, 56],
+    350: [19, 56],
+    360: [18, 19, 56],
+    370: [17, 18, 56],
+    380: [17, 18, 56],
+    390: [16, 17, 56, 57],
+    400: [16, 56, 57],
+    410: [15, 16, 57],
+    420: [14, 15, 57],
+    430: [14, 57],
+    440: [13, 14, 57],
+    450: [12, 13, 57],
+    460: [12, 13, 57],
+    470: [11, 12, 57],
+    480: [11, 57],
+    490: [11, 57],
+    500: [57]
+  },
+  1130: {
+    0: [43, 44, 45, 46, 47, 48, 49, 50],
+    10: [42, 43, 44, 45, 46, 47, 48, 49, 50],
+    20: [41, 42, 43, 44, 48, 49, 50, 51],
+    30: [40, 41, 42, 49, 50, 51],
+    40: [39, 40, 41, 50, 51, 52],
+    50: [39, 40, 51, 52],
+    60: [38, 39, 51, 52],
+    70: [37, 38, 51, 52],
+    80: [36, 37, 38, 52, 53],
+    90: [36, 37, 52, 53],
+    100: [35, 36, 52, 53],
+    110: [34, 35, 52, 53],
+    120: [34, 35, 53],
+    130: [33, 34, 53, 54],
+    140: [32, 33, 53, 54],
+    150: [32, 33, 53, 54],
+    160: [31, 32, 54],
+    170: [30, 31, 54],
+    180: [30, 54],
+    190: [29, 30, 54],
+    200: [28, 29, 54, 55],
+    210: [28, 29, 54, 55],
+    220: [27, 28, 54, 55],
+    230: [26, 27, 54, 55],
+    240: [26, 27, 55],
+    250: [25, 26, 55],
+    260: [25, 55],
+    270: [24, 25, 55],
+    280: [23, 24, 55],
+    290: [23, 55],
+    300: [22, 23, 55],
+    310: [21, 22, 55, 56],
+    320: [21, 55, 56],
+    330: [20, 21, 55, 56],
+    340: [20, 56],
+    350: [19, 20, 56],
+    360: [18, 19, 56],
+    370: [18, 56],
+    380: [17, 18, 56],
+    390: [16, 17, 56],
+    400: [16, 17, 56],
+    410: [15, 16, 56],
+    420: [15, 56],
+    430: [14, 15, 56],
+    440: [13, 14, 56],
+    450: [13, 56],
+    460: [12, 13, 56, 57],
+    470: [11, 12, 56, 57],
+    480: [11, 12, 57],
+    490: [11, 57]
+  },
+  1140: {
+    0: [44, 45, 46, 47, 48, 49],
+    10: [43, 44, 45, 46, 47, 48, 49],
+    20: [42, 43, 44, 45, 46, 47, 48, 49, 50],
+    30: [41, 42, 43, 44, 48, 49, 50],
+    40: [40, 41, 42, 49, 50, 51],
+    50: [39, 40, 41, 50, 51],
+    60: [38, 39, 40, 50, 51],
+    70: [37, 38, 39, 51, 52],
+    80: [37, 38, 51, 52],
+    90: [36, 37, 51, 52],
+    100: [35, 36, 52],
+    110: [34, 35, 36, 52, 53],
+    120: [34, 35, 52, 53],
+    130: [33, 34, 52, 53],
+    140: [32, 33, 53],
+    150: [32, 33, 53],
+    160: [31, 32, 53, 54],
+    170: [30, 31, 53, 54],
+    180: [30, 31, 53, 54],
+    190: [29, 30, 53, 54],
+    200: [28, 29, 54],
+    210: [28, 29, 54],
+    220: [27, 28, 54],
+    230: [27, 54],
+    240: [26, 27, 54],
+    250: [25, 26, 54, 55],
+    260: [25, 54, 55],
+    270: [24, 25, 54, 55],
+    280: [23, 24, 55],
+    290: [23, 24, 55],
+    300: [22, 23, 55],
+    310: [22, 55],
+    320: [21, 22, 55],
+    330: [20, 21, 55],
+    340: [20, 55],
+    350: [19, 20, 55],
+    360: [18, 19, 55, 56],
+    370: [18, 19, 55, 56],
+    380: [17, 18, 55, 56],
+    390: [17, 56],
+    400: [16, 17, 56],
+    410: [15, 16, 56],
+    420: [15, 56],
+    430: [14, 15, 56],
+    440: [13, 14, 56],
+    450: [13, 14, 56],
+    460: [12, 13, 56],
+    470: [12, 56],
+    480: [11, 12, 56],
+    490: [11, 56],
+    500: [11]
+  },
+  1150: {
+    0: [45, 46, 47],
+    10: [43, 44, 45, 46, 47, 48],
+    20: [42, 43, 44, 45, 46, 47, 48, 49],
+    30: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    40: [40, 41, 42, 43, 47, 48, 49, 50],
+    50: [39, 40, 41, 48, 49, 50],
+    60: [38, 39, 40, 49, 50, 51],
+    70: [38, 39, 50, 51],
+    80: [37, 38, 50, 51],
+    90: [36, 37, 51, 52],
+    100: [35, 36, 37, 51, 52],
+    110: [35, 36, 51, 52],
+    120: [34, 35, 51, 52],
+    130: [33, 34, 52],
+    140: [33, 34, 52, 53],
+    150: [32, 33, 52, 53],
+    160: [31, 32, 52, 53],
+    170: [31, 32, 53],
+    180: [30, 31, 53],
+    190: [29, 30, 53],
+    200: [29, 30, 53, 54],
+    210: [28, 29, 53, 54],
+    220: [27, 28, 53, 54],
+    230: [27, 28, 53, 54],
+    240: [26, 27, 54],
+    250: [25, 26, 54],
+    260: [25, 26, 54],
+    270: [24, 25, 54],
+    280: [24, 54],
+    290: [23, 24, 54, 55],
+    300: [22, 23, 54, 55],
+    310: [22, 54, 55],
+    320: [21, 22, 54, 55],
+    330: [20, 21, 55],
+    340: [20, 21, 55],
+    350: [19, 20, 55],
+    360: [19, 55],
+    370: [18, 19, 55],
+    380: [17, 18, 55],
+    390: [17, 18, 55],
+    400: [16, 17, 55],
+    410: [16, 55],
+    420: [15, 16, 55],
+    430: [14, 15, 55, 56],
+    440: [14, 55, 56],
+    450: [13, 14, 55, 56],
+    460: [12, 13, 56],
+    470: [12, 13, 56],
+    480: [11, 12, 56],
+    490: [11, 56]
+  },
+  1160: {
+    10: [45, 46, 47],
+    20: [43, 44, 45, 46, 47, 48],
+    30: [42, 43, 44, 45, 46, 47, 48, 49],
+    40: [41, 42, 43, 44, 45, 46, 47, 48, 49],
+    50: [40, 41, 42, 43, 47, 48, 49, 50],
+    60: [39, 40, 41, 48, 49, 50],
+    70: [38, 39, 40, 49, 50],
+    80: [37, 38, 39, 49, 50, 51],
+    90: [36, 37, 38, 50, 51],
+    100: [36, 37, 50, 51],
+    110: [35, 36, 51],
+    120: [34, 35, 51, 52],
+    130: [34, 35, 51, 52],
+    140: [33, 34, 51, 52],
+    150: [32, 33, 52],
+    160: [31, 32, 52],
+    170: [31, 32, 52, 53],
+    180: [30, 31, 52, 53],
+    190: [29, 30, 52, 53],
+    200: [29, 30, 53],
+    210: [28, 29, 53],
+    220: [28, 53],
+    230: [27, 28, 53],
+    240: [26, 27, 53, 54],
+    250: [26, 53, 54],
+    260: [25, 26, 53, 54],
+    270: [24, 25, 53, 54],
+    280: [24, 25, 54],
+    290: [23, 24, 54],
+    300: [22, 23, 54],
+    310: [22, 23, 54],
+    320: [21, 22, 54],
+    330: [21, 54],
+    340: [20, 21, 54],
+    350: [19, 20, 54, 55],
+    360: [19, 20, 54, 55],
+    370: [18, 19, 54, 55],
+    380: [18, 55],
+    390: [17, 18, 55],
+    400: [16, 17, 55],
+    410: [16, 55],
+    420: [15, 16, 55],
+    430: [14, 15, 55],
+    440: [14, 15, 55],
+    450: [13, 14, 55],
+    460: [13, 55],
+    470: [12, 13, 55],
+    480: [12, 55],
+    490: [12, 55]
+  },
+  1170: {
+    20: [44, 45, 46],
+    30: [42, 43, 44, 45, 46, 47],
+    40: [41, 42, 43, 44, 45, 46, 47, 48],
+    50: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    60: [39, 40, 41, 42, 46, 47, 48, 49],
+    70: [38, 39, 40, 41, 48, 49, 50],
+    80: [37, 38, 39, 48, 49, 50],
+    90: [37, 38, 49, 50],
+    100: [36, 37, 49, 50, 51],
+    110: [35, 36, 37, 50, 51],
+    120: [34, 35, 36, 50, 51],
+    130: [34, 35, 50, 51],
+    140: [33, 34, 51, 52],
+    150: [32, 33, 51, 52],
+    160: [32, 33, 51, 52],
+    170: [31, 32, 51, 52],
+    180: [30, 31, 52],
+    190: [30, 31, 52],
+    200: [29, 30, 52, 53],
+    210: [28, 29, 52, 53],
+    220: [28, 29, 52, 53],
+    230: [27, 28, 52, 53],
+    240: [26, 27, 53],
+    250: [26, 27, 53],
+    260: [25, 26, 53],
+    270: [25, 53],
+    280: [24, 25, 53],
+    290: [23, 24, 53, 54],
+    300: [23, 53, 54],
+    310: [22, 23, 53, 54],
+    320: [21, 22, 54],
+    330: [21, 22, 54],
+    340: [20, 21, 54],
+    350: [20, 54],
+    360: [19, 20, 54],
+    370: [18, 19, 54],
+    380: [18, 19, 54],
+    390: [17, 18, 54],
+    400: [17, 54],
+    410: [16, 17, 54, 55],
+    420: [15, 16, 54, 55],
+    430: [15, 54, 55],
+    440: [14, 15, 55],
+    450: [14, 55],
+    460: [13, 14, 55],
+    470: [12, 13, 55],
+    480: [12, 55],
+    490: [12, 55]
+  },
+  1180: {
+    30: [44, 45, 46],
+    40: [42, 43, 44, 45, 46, 47],
+    50: [41, 42, 43, 44, 45, 46, 47, 48],
+    60: [40, 41, 42, 43, 44, 45, 46, 47, 48],
+    70: [39, 40, 41, 42, 46, 47, 48, 49],
+    80: [38, 39, 40, 47, 48, 49],
+    90: [37, 38, 39, 48, 49, 50],
+    100: [36, 37, 38, 48, 49, 50],
+    110: [35, 36, 37, 49, 50],
+    120: [35, 36, 49, 50],
+    130: [34, 35, 50, 51],
+    140: [33, 34, 50, 51],
+    150: [33, 34, 50, 51],
+    160: [32, 33, 51],
+    170: [31, 32, 51],
+    180: [31, 32, 51, 52],
+    190: [30, 31, 51, 52],
+    200: [29, 30, 51, 52],
+    210: [29, 52],
+    220: [28, 29, 52],
+    230: [27, 28, 52],
+    240: [27, 52, 53],
+    250: [26, 27, 52, 53],
+    260: [25, 26, 52, 53],
+    270: [25, 26, 52, 53],
+    280: [24, 25, 53],
+    290: [23, 24, 53],
+    300: [23, 24, 53],
+    310: [22, 23, 53],
+    320: [22, 53],
+    330: [21, 22, 53],
+    340: [20, 21, 53, 54],
+    350: [20, 21, 53, 54],
+    360: [19, 20, 53, 54],
+    370: [19, 54],
+    380: [18, 19, 54],
+    390: [17, 18, 54],
+    400: [17, 54],
+    410: [16, 17, 54],
+    420: [16, 54],
+    430: [15, 16, 54],
+    440: [14, 15, 54],
+    450: [14, 54],
+    460: [13, 14, 54],
+    470: [13, 54, 55],
+    480: [12, 13, 54, 55],
+    490: [12, 54, 55],
+    500: [12]
+  },
+  1190: {
+    40: [43, 44, 45],
+    50: [42, 43, 44, 45, 46, 47],
+    60: [40, 41, 42, 43, 44, 45, 46, 47],
+    70: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    80: [38, 39, 40, 41, 42, 45, 46, 47, 48],
+    90: [37, 38, 39, 40, 47, 48, 49],
+    100: [37, 38, 39, 47, 48, 49],
+    110: [36, 37, 48, 49],
+    120: [35, 36, 37, 49, 50],
+    130: [34, 35, 36, 49, 50],
+    140: [34, 35, 49, 50],
+    150: [33, 34, 50, 51],
+    160: [32, 33, 50, 51],
+    170: [31, 32, 33, 50, 51],
+    180: [31, 32, 50, 51],
+    190: [30, 31, 51],
+    200: [29, 30, 51],
+    210: [29, 30, 51, 52],
+    220: [28, 29, 51, 52],
+    230: [27, 28, 51, 52],
+    240: [27, 28, 51, 52],
+    250: [26, 27, 52],
+    260: [26, 52],
+    270: [25, 26, 52],
+    280: [24, 25, 52, 53],
+    290: [24, 25, 52, 53],
+    300: [23, 24, 52, 53],
+    310: [22, 23, 52, 53],
+    320: [22, 23, 53],
+    330: [21, 22, 53],
+    340: [21, 53],
+    350: [20, 21, 53],
+    360: [19, 20, 53],
+    370: [19, 20, 53],
+    380: [18, 19, 53],
+    390: [18, 53, 54],
+    400: [17, 18, 53, 54],
+    410: [16, 17, 53, 54],
+    420: [16, 17, 53, 54],
+    430: [15, 16, 54],
+    440: [15, 54],
+    450: [14, 15, 54],
+    460: [13, 14, 54],
+    470: [13, 14, 54],
+    480: [12, 13, 54],
+    490: [12, 54],
+    500: [12, 54]
+  }
+};
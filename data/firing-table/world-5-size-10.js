@@ -1,5 +1,6 @@
 // Firing Table Data for World 5
-// Generated on 2025-08-04T22:40:24.153Z
+// Cannonball size level 10 (radius 16.0px)
+// Generated on 2026-10-19T18:31:50.674Z
 export default {
   0: {
     0: [96, 100, 101, 102],
@@ -313,209 +314,216 @@ export default {
     450: [93, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
     460: [93, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
     470: [93, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
-    480: [93, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [92, 93, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
     490: [93, 180, 181, 182, 183, 184, 185, 186, 187, 188]
   },
   60: {
     0: [93, 94, 95, 96, 97],
     10: [93, 95, 96, 97],
     20: [93, 95, 96, 97],
-    30: [93, 95, 96, 97, 98],
-    40: [93, 95, 96, 97, 98],
-    50: [93, 95, 96, 97, 98],
-    60: [93, 95, 96, 97, 98],
-    70: [93, 96, 97, 98, 99],
-    80: [93, 96, 97, 98, 99],
-    90: [93, 96, 97, 98, 99],
-    100: [93, 96, 97, 98, 99, 100],
-    110: [93, 96, 97, 98, 99, 100],
-    120: [93, 96, 97, 98, 99, 100],
-    130: [93, 97, 98, 99, 100, 101],
-    140: [93, 97, 98, 99, 100, 101],
-    150: [93, 97, 98, 99, 100, 101, 102],
-    160: [93, 97, 98, 99, 100, 101, 102],
-    170: [93, 98, 99, 100, 101, 102],
-    180: [93, 98, 99, 100, 101, 102, 103],
-    190: [93, 98, 99, 100, 101, 102, 103, 104],
-    200: [93, 99, 100, 101, 102, 103, 104],
-    210: [93, 99, 100, 101, 102, 103, 104, 105],
-    220: [93, 99, 100, 101, 102, 103, 104, 105],
-    230: [93, 100, 101, 102, 103, 104, 105, 106],
-    240: [93, 100, 101, 102, 103, 104, 105, 106, 107],
-    250: [93, 100, 101, 102, 103, 104, 105, 106, 107, 108],
-    260: [93, 101, 102, 103, 104, 105, 106, 107, 108],
-    270: [93, 101, 102, 103, 104, 105, 106, 107, 108, 109],
-    280: [93, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
-    290: [93, 103, 104, 105, 106, 107, 108, 109, 110, 111],
-    300: [93, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
-    310: [93, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
-    320: [93, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
-    330: [93, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
-    340: [93, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
-    350: [93, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
-    360: [93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
-    370: [93, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
-    380: [93, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
-    390: [93, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
-    400: [93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
-    410: [93, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
-    420: [125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
-    430: [93, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
-    440: [93, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
-    450: [142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
-    460: [149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
-    470: [158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
-    480: [168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
-    490: [177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    30: [92, 93, 95, 96, 97, 98],
+    40: [92, 93, 95, 96, 97, 98],
+    50: [92, 93, 95, 96, 97, 98],
+    60: [92, 93, 95, 96, 97, 98],
+    70: [92, 93, 96, 97, 98, 99],
+    80: [92, 93, 96, 97, 98, 99],
+    90: [92, 93, 96, 97, 98, 99],
+    100: [92, 93, 96, 97, 98, 99, 100],
+    110: [92, 93, 96, 97, 98, 99, 100],
+    120: [92, 93, 96, 97, 98, 99, 100],
+    130: [92, 93, 97, 98, 99, 100, 101],
+    140: [92, 93, 97, 98, 99, 100, 101],
+    150: [92, 93, 97, 98, 99, 100, 101, 102],
+    160: [92, 93, 97, 98, 99, 100, 101, 102],
+    170: [92, 93, 98, 99, 100, 101, 102],
+    180: [92, 93, 98, 99, 100, 101, 102, 103],
+    190: [92, 93, 98, 99, 100, 101, 102, 103, 104],
+    200: [92, 93, 99, 100, 101, 102, 103, 104],
+    210: [92, 93, 99, 100, 101, 102, 103, 104, 105],
+    220: [92, 93, 99, 100, 101, 102, 103, 104, 105],
+    230: [92, 93, 100, 101, 102, 103, 104, 105, 106],
+    240: [92, 93, 100, 101, 102, 103, 104, 105, 106, 107],
+    250: [92, 93, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    260: [92, 93, 101, 102, 103, 104, 105, 106, 107, 108],
+    270: [92, 93, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    280: [92, 93, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    290: [92, 93, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    300: [92, 93, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    310: [92, 93, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    320: [92, 93, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    330: [92, 93, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    340: [92, 93, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    350: [92, 93, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    360: [92, 93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    370: [92, 93, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    380: [92, 93, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    390: [92, 93, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    400: [92, 93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    410: [92, 93, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    420: [92, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    430: [92, 93, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    440: [92, 93, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [92, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [92, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    470: [92, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [92, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [92, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
     500: [187, 188]
   },
   70: {
-    0: [93, 94, 95, 96],
-    10: [93, 94, 95, 96],
-    20: [93, 94, 95, 96],
-    30: [93, 94, 95, 96, 97],
-    40: [93, 94, 95, 96, 97],
-    50: [93, 94, 95, 96, 97],
-    60: [93, 94, 95, 96, 97],
-    70: [93, 94, 95, 96, 97, 98],
-    80: [93, 94, 95, 96, 97, 98],
-    90: [93, 95, 96, 97, 98],
-    100: [93, 95, 96, 97, 98],
-    110: [93, 95, 96, 97, 98, 99],
-    120: [95, 96, 97, 98, 99],
-    130: [95, 96, 97, 98, 99],
-    140: [95, 96, 97, 98, 99, 100],
-    150: [95, 96, 97, 98, 99, 100],
-    160: [96, 97, 98, 99, 100],
-    170: [96, 97, 98, 99, 100, 101],
-    180: [96, 97, 98, 99, 100, 101],
-    190: [96, 97, 98, 99, 100, 101, 102],
-    200: [97, 98, 99, 100, 101, 102],
-    210: [97, 98, 99, 100, 101, 102, 103],
-    220: [97, 98, 99, 100, 101, 102, 103],
-    230: [97, 98, 99, 100, 101, 102, 103, 104],
-    240: [98, 99, 100, 101, 102, 103, 104],
-    250: [98, 99, 100, 101, 102, 103, 104, 105],
-    260: [99, 100, 101, 102, 103, 104, 105, 106],
-    270: [99, 100, 101, 102, 103, 104, 105, 106, 107],
-    280: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
-    290: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
-    300: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
-    310: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
-    320: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
-    330: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
-    340: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
-    350: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
-    360: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
-    370: [107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
-    380: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
-    390: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
-    400: [114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
-    410: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
-    420: [119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
-    430: [124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
-    440: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
-    450: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
-    460: [147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
-    470: [158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
-    480: [170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
-    490: [180, 181, 182, 183, 184, 185, 186, 187, 188]
+    0: [92, 93, 94, 95, 96],
+    10: [92, 93, 94, 95, 96],
+    20: [92, 93, 94, 95, 96],
+    30: [92, 93, 94, 95, 96, 97],
+    40: [92, 93, 94, 95, 96, 97],
+    50: [92, 93, 94, 95, 96, 97],
+    60: [92, 93, 94, 95, 96, 97],
+    70: [92, 93, 94, 95, 96, 97, 98],
+    80: [92, 93, 94, 95, 96, 97, 98],
+    90: [92, 93, 95, 96, 97, 98],
+    100: [92, 93, 95, 96, 97, 98],
+    110: [92, 93, 95, 96, 97, 98, 99],
+    120: [92, 95, 96, 97, 98, 99],
+    130: [92, 95, 96, 97, 98, 99],
+    140: [92, 95, 96, 97, 98, 99, 100],
+    150: [92, 95, 96, 97, 98, 99, 100],
+    160: [92, 96, 97, 98, 99, 100],
+    170: [92, 96, 97, 98, 99, 100, 101],
+    180: [92, 96, 97, 98, 99, 100, 101],
+    190: [92, 96, 97, 98, 99, 100, 101, 102],
+    200: [92, 97, 98, 99, 100, 101, 102],
+    210: [92, 97, 98, 99, 100, 101, 102, 103],
+    220: [92, 97, 98, 99, 100, 101, 102, 103],
+    230: [92, 97, 98, 99, 100, 101, 102, 103, 104],
+    240: [92, 98, 99, 100, 101, 102, 103, 104],
+    250: [92, 98, 99, 100, 101, 102, 103, 104, 105],
+    260: [92, 99, 100, 101, 102, 103, 104, 105, 106],
+    270: [92, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    280: [92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    290: [92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    300: [92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    310: [92, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    320: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    330: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    340: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    350: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    360: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    370: [92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    380: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    390: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    400: [92, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    410: [92, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    420: [92, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    430: [92, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    440: [92, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    450: [92, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [92, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [92, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [92, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [92, 180, 181, 182, 183, 184, 185, 186, 187, 188]
   },
   80: {
-    0: [93, 94, 95],
-    10: [93, 94, 95],
-    20: [93, 94, 95],
-    30: [93, 94, 95, 96],
-    40: [93, 94, 95, 96],
-    50: [93, 94, 95, 96],
-    60: [93, 94, 95, 96],
-    70: [93, 94, 95, 96],
-    80: [93, 94, 95, 96, 97],
-    90: [93, 94, 95, 96, 97],
-    100: [93, 94, 95, 96, 97],
-    110: [94, 95, 96, 97],
-    120: [94, 95, 96, 97, 98],
-    130: [94, 95, 96, 97, 98],
-    140: [94, 95, 96, 97, 98],
-    150: [94, 95, 96, 97, 98, 99],
-    160: [94, 95, 96, 97, 98, 99],
-    170: [94, 95, 96, 97, 98, 99],
-    180: [94, 95, 96, 97, 98, 99],
-    190: [95, 96, 97, 98, 99, 100],
-    200: [95, 96, 97, 98, 99, 100],
-    210: [95, 96, 97, 98, 99, 100, 101],
-    220: [95, 96, 97, 98, 99, 100, 101],
-    230: [95, 96, 97, 98, 99, 100, 101, 102],
-    240: [96, 97, 98, 99, 100, 101, 102],
-    250: [96, 97, 98, 99, 100, 101, 102, 103],
-    260: [96, 97, 98, 99, 100, 101, 102, 103, 104],
-    270: [97, 98, 99, 100, 101, 102, 103, 104],
-    280: [97, 98, 99, 100, 101, 102, 103, 104, 105],
-    290: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
-    300: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
-    310: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
-    320: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
-    330: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
-    340: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
-    350: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
-    360: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
-    370: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
-    380: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
-    390: [105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
-    400: [107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
-    410: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
-    420: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
-    430: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
-    440: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
-    450: [134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
-    460: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165]
+    0: [92, 93, 94, 95],
+    10: [92, 93, 94, 95],
+    20: [92, 93, 94, 95],
+    30: [92, 93, 94, 95, 96],
+    40: [92, 93, 94, 95, 96],
+    50: [92, 93, 94, 95, 96],
+    60: [92, 93, 94, 95, 96],
+    70: [92, 93, 94, 95, 96],
+    80: [92, 93, 94, 95, 96, 97],
+    90: [92, 93, 94, 95, 96, 97],
+    100: [91, 92, 93, 94, 95, 96, 97],
+    110: [91, 92, 94, 95, 96, 97],
+    120: [91, 92, 94, 95, 96, 97, 98],
+    130: [91, 92, 94, 95, 96, 97, 98],
+    140: [91, 92, 94, 95, 96, 97, 98],
+    150: [91, 92, 94, 95, 96, 97, 98, 99],
+    160: [91, 92, 94, 95, 96, 97, 98, 99],
+    170: [91, 92, 94, 95, 96, 97, 98, 99],
+    180: [91, 92, 94, 95, 96, 97, 98, 99],
+    190: [91, 92, 95, 96, 97, 98, 99, 100],
+    200: [91, 92, 95, 96, 97, 98, 99, 100],
+    210: [91, 92, 95, 96, 97, 98, 99, 100, 101],
+    220: [91, 92, 95, 96, 97, 98, 99, 100, 101],
+    230: [91, 92, 95, 96, 97, 98, 99, 100, 101, 102],
+    240: [91, 92, 96, 97, 98, 99, 100, 101, 102],
+    250: [91, 92, 96, 97, 98, 99, 100, 101, 102, 103],
+    260: [91, 92, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    270: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104],
+    280: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    290: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    300: [91, 92, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    310: [91, 92, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    320: [91, 92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    330: [91, 92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    340: [91, 92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    350: [91, 92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    360: [91, 92, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    370: [91, 92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    380: [91, 92, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    390: [91, 92, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    400: [91, 92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    410: [91, 92, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    420: [91, 92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    430: [91, 92, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    440: [91, 92, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    450: [91, 92, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    460: [91, 92, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    470: [91, 92],
+    480: [91, 92]
   },
   90: {
-    0: [92, 93, 94],
-    10: [92, 93, 94],
-    20: [92, 93, 94],
-    30: [92, 93, 94],
-    40: [92, 93, 94, 95],
-    50: [92, 93, 94, 95],
-    60: [92, 93, 94, 95],
-    70: [92, 93, 94, 95],
-    80: [92, 93, 94, 95],
-    90: [92, 93, 94, 95, 96],
-    100: [92, 93, 94, 95, 96],
-    110: [92, 93, 94, 95, 96],
-    120: [92, 93, 94, 95, 96],
-    130: [92, 93, 94, 95, 96],
-    140: [92, 93, 94, 95, 96, 97],
-    150: [92, 93, 94, 95, 96, 97],
-    160: [92, 93, 94, 95, 96, 97],
-    170: [93, 94, 95, 96, 97, 98],
-    180: [93, 94, 95, 96, 97, 98],
-    190: [93, 94, 95, 96, 97, 98],
-    200: [93, 94, 95, 96, 97, 98, 99],
-    210: [93, 94, 95, 96, 97, 98, 99],
-    220: [93, 94, 95, 96, 97, 98, 99],
-    230: [93, 94, 95, 96, 97, 98, 99, 100],
-    240: [93, 94, 95, 96, 97, 98, 99, 100],
-    250: [94, 95, 96, 97, 98, 99, 100, 101],
-    260: [94, 95, 96, 97, 98, 99, 100, 101],
-    270: [94, 95, 96, 97, 98, 99, 100, 101, 102],
-    280: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
-    290: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
-    300: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
-    310: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
-    320: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
-    330: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
-    340: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
-    350: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
-    360: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
-    370: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
-    380: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
-    390: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
-    400: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
-    410: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
-    420: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
-    430: [107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
-    440: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143]
+    0: [91, 92, 93, 94],
+    10: [91, 92, 93, 94],
+    20: [91, 92, 93, 94],
+    30: [91, 92, 93, 94],
+    40: [91, 92, 93, 94, 95],
+    50: [91, 92, 93, 94, 95],
+    60: [91, 92, 93, 94, 95],
+    70: [91, 92, 93, 94, 95],
+    80: [91, 92, 93, 94, 95],
+    90: [91, 92, 93, 94, 95, 96],
+    100: [91, 92, 93, 94, 95, 96],
+    110: [91, 92, 93, 94, 95, 96],
+    120: [91, 92, 93, 94, 95, 96],
+    130: [91, 92, 93, 94, 95, 96],
+    140: [91, 92, 93, 94, 95, 96, 97],
+    150: [91, 92, 93, 94, 95, 96, 97],
+    160: [91, 92, 93, 94, 95, 96, 97],
+    170: [91, 92, 93, 94, 95, 96, 97, 98],
+    180: [91, 92, 93, 94, 95, 96, 97, 98],
+    190: [91, 92, 93, 94, 95, 96, 97, 98],
+    200: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    210: [91, 93, 94, 95, 96, 97, 98, 99],
+    220: [91, 93, 94, 95, 96, 97, 98, 99],
+    230: [91, 93, 94, 95, 96, 97, 98, 99, 100],
+    240: [91, 93, 94, 95, 96, 97, 98, 99, 100],
+    250: [91, 94, 95, 96, 97, 98, 99, 100, 101],
+    260: [91, 94, 95, 96, 97, 98, 99, 100, 101],
+    270: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    280: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    290: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    300: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    310: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    320: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    330: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    340: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    350: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    360: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    370: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    380: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    390: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    400: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    410: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    420: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    430: [91, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    440: [91, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
   },
   100: {
     0: [91, 92, 93],
@@ -548,20 +556,26 @@ export default {
     270: [91, 92, 93, 94, 95, 96, 97, 98, 99],
     280: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
     290: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
-    300: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    300: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
     310: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
     320: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
-    330: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    330: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
     340: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
-    350: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    350: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
     360: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
-    370: [93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
-    380: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
-    390: [93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
-    400: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
-    410: [93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
-    420: [93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
-    430: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129]
+    370: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    380: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    390: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    400: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    410: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    420: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    430: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
   },
   110: {
     0: [90, 91, 92],
@@ -607,7 +621,13 @@ export default {
     400: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
     410: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
     420: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
-    430: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115]
+    430: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    440: [90, 91],
+    450: [90, 91],
+    460: [90, 91],
+    470: [90, 91],
+    480: [90, 91],
+    490: [90]
   },
   120: {
     0: [89, 90, 91],
@@ -653,7 +673,13 @@ export default {
     400: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
     410: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
     420: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
-    430: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101]
+    430: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90],
+    490: [90]
   },
   130: {
     0: [88, 89, 90],
@@ -699,7 +725,13 @@ export default {
     400: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
     410: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
     420: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
-    430: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90]
+    430: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
+    440: [89, 90],
+    450: [89, 90],
+    460: [89, 90],
+    470: [89, 90],
+    480: [89, 90],
+    490: [90]
   },
   140: {
     0: [87, 88, 89],
@@ -732,220 +764,233 @@ export default {
     270: [81, 82, 83, 84, 85, 86, 87, 88, 89],
     280: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     290: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
-    300: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    300: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     310: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     320: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
-    330: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    330: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     340: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
-    350: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    350: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     360: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
-    370: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87],
-    380: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
-    390: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87],
-    400: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
-    410: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87],
-    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87],
-    430: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81]
+    370: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    380: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    390: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    400: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    410: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    430: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
   },
   150: {
-    0: [86, 87, 88],
-    10: [86, 87, 88],
-    20: [86, 87, 88],
-    30: [86, 87, 88],
-    40: [85, 86, 87, 88],
-    50: [85, 86, 87, 88],
-    60: [85, 86, 87, 88],
-    70: [85, 86, 87, 88],
-    80: [85, 86, 87, 88],
-    90: [84, 85, 86, 87, 88],
-    100: [84, 85, 86, 87, 88],
-    110: [84, 85, 86, 87, 88],
-    120: [84, 85, 86, 87, 88],
-    130: [84, 85, 86, 87, 88],
-    140: [83, 84, 85, 86, 87, 88],
-    150: [83, 84, 85, 86, 87, 88],
-    160: [83, 84, 85, 86, 87, 88],
-    170: [82, 83, 84, 85, 86, 87],
-    180: [82, 83, 84, 85, 86, 87],
-    190: [82, 83, 84, 85, 86, 87],
-    200: [81, 82, 83, 84, 85, 86, 87],
-    210: [81, 82, 83, 84, 85, 86, 87],
-    220: [81, 82, 83, 84, 85, 86, 87],
-    230: [80, 81, 82, 83, 84, 85, 86, 87],
-    240: [80, 81, 82, 83, 84, 85, 86, 87],
-    250: [79, 80, 81, 82, 83, 84, 85, 86],
-    260: [79, 80, 81, 82, 83, 84, 85, 86],
-    270: [78, 79, 80, 81, 82, 83, 84, 85, 86],
-    280: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
-    290: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
-    300: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
-    310: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
-    320: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
-    330: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
-    340: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
-    350: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
-    360: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
-    370: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
-    380: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
-    390: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
-    400: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
-    410: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
-    420: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
-    430: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
-    440: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62]
+    0: [86, 87, 88, 89],
+    10: [86, 87, 88, 89],
+    20: [86, 87, 88, 89],
+    30: [86, 87, 88, 89],
+    40: [85, 86, 87, 88, 89],
+    50: [85, 86, 87, 88, 89],
+    60: [85, 86, 87, 88, 89],
+    70: [85, 86, 87, 88, 89],
+    80: [85, 86, 87, 88, 89],
+    90: [84, 85, 86, 87, 88, 89],
+    100: [84, 85, 86, 87, 88, 89],
+    110: [84, 85, 86, 87, 88, 89],
+    120: [84, 85, 86, 87, 88, 89],
+    130: [84, 85, 86, 87, 88, 89],
+    140: [83, 84, 85, 86, 87, 88, 89],
+    150: [83, 84, 85, 86, 87, 88, 89],
+    160: [83, 84, 85, 86, 87, 88, 89],
+    170: [82, 83, 84, 85, 86, 87, 88, 89],
+    180: [82, 83, 84, 85, 86, 87, 88, 89],
+    190: [82, 83, 84, 85, 86, 87, 88, 89],
+    200: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    210: [81, 82, 83, 84, 85, 86, 87, 89],
+    220: [81, 82, 83, 84, 85, 86, 87, 89],
+    230: [80, 81, 82, 83, 84, 85, 86, 87, 89],
+    240: [80, 81, 82, 83, 84, 85, 86, 87, 89],
+    250: [79, 80, 81, 82, 83, 84, 85, 86, 89],
+    260: [79, 80, 81, 82, 83, 84, 85, 86, 89],
+    270: [78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    280: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    290: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    300: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    310: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    320: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    330: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    340: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    350: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    360: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    370: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    380: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    390: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    400: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    410: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    420: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    430: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 89],
+    440: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
   },
   160: {
-    0: [85, 86, 87],
-    10: [85, 86, 87],
-    20: [85, 86, 87],
-    30: [84, 85, 86, 87],
-    40: [84, 85, 86, 87],
-    50: [84, 85, 86, 87],
-    60: [84, 85, 86, 87],
-    70: [84, 85, 86, 87],
-    80: [83, 84, 85, 86, 87],
-    90: [83, 84, 85, 86, 87],
-    100: [83, 84, 85, 86, 87],
-    110: [83, 84, 85, 86],
-    120: [82, 83, 84, 85, 86],
-    130: [82, 83, 84, 85, 86],
-    140: [82, 83, 84, 85, 86],
-    150: [81, 82, 83, 84, 85, 86],
-    160: [81, 82, 83, 84, 85, 86],
-    170: [81, 82, 83, 84, 85, 86],
-    180: [81, 82, 83, 84, 85, 86],
-    190: [80, 81, 82, 83, 84, 85],
-    200: [80, 81, 82, 83, 84, 85],
-    210: [79, 80, 81, 82, 83, 84, 85],
-    220: [79, 80, 81, 82, 83, 84, 85],
-    230: [78, 79, 80, 81, 82, 83, 84, 85],
-    240: [78, 79, 80, 81, 82, 83, 84],
-    250: [77, 78, 79, 80, 81, 82, 83, 84],
-    260: [76, 77, 78, 79, 80, 81, 82, 83, 84],
-    270: [76, 77, 78, 79, 80, 81, 82, 83],
-    280: [75, 76, 77, 78, 79, 80, 81, 82, 83],
-    290: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
-    300: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
-    310: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
-    320: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
-    330: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
-    340: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
-    350: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
-    360: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
-    370: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
-    380: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
-    390: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75],
-    400: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
-    410: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
-    420: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
-    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
-    440: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
-    450: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
-    460: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27]
+    0: [85, 86, 87, 88],
+    10: [85, 86, 87, 88],
+    20: [85, 86, 87, 88],
+    30: [84, 85, 86, 87, 88],
+    40: [84, 85, 86, 87, 88],
+    50: [84, 85, 86, 87, 88],
+    60: [84, 85, 86, 87, 88],
+    70: [84, 85, 86, 87, 88],
+    80: [83, 84, 85, 86, 87, 88],
+    90: [83, 84, 85, 86, 87, 88],
+    100: [83, 84, 85, 86, 87, 88, 89],
+    110: [83, 84, 85, 86, 88, 89],
+    120: [82, 83, 84, 85, 86, 88, 89],
+    130: [82, 83, 84, 85, 86, 88, 89],
+    140: [82, 83, 84, 85, 86, 88, 89],
+    150: [81, 82, 83, 84, 85, 86, 88, 89],
+    160: [81, 82, 83, 84, 85, 86, 88, 89],
+    170: [81, 82, 83, 84, 85, 86, 88, 89],
+    180: [81, 82, 83, 84, 85, 86, 88, 89],
+    190: [80, 81, 82, 83, 84, 85, 88, 89],
+    200: [80, 81, 82, 83, 84, 85, 88, 89],
+    210: [79, 80, 81, 82, 83, 84, 85, 88, 89],
+    220: [79, 80, 81, 82, 83, 84, 85, 88, 89],
+    230: [78, 79, 80, 81, 82, 83, 84, 85, 88, 89],
+    240: [78, 79, 80, 81, 82, 83, 84, 88, 89],
+    250: [77, 78, 79, 80, 81, 82, 83, 84, 88, 89],
+    260: [76, 77, 78, 79, 80, 81, 82, 83, 84, 88, 89],
+    270: [76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    280: [75, 76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    290: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    300: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 88, 89],
+    310: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 88, 89],
+    320: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88, 89],
+    330: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88, 89],
+    340: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88, 89],
+    350: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88, 89],
+    360: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 88, 89],
+    370: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88, 89],
+    380: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 88, 89],
+    390: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 88, 89],
+    400: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88, 89],
+    410: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 88, 89],
+    420: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88, 89],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 88, 89],
+    440: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 88, 89],
+    450: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 88, 89],
+    460: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 88, 89],
+    470: [88, 89],
+    480: [88, 89]
   },
   170: {
-    0: [84, 85, 86, 87],
-    10: [84, 85, 86, 87],
-    20: [84, 85, 86, 87],
-    30: [83, 84, 85, 86, 87],
-    40: [83, 84, 85, 86, 87],
-    50: [83, 84, 85, 86, 87],
-    60: [83, 84, 85, 86, 87],
-    70: [82, 83, 84, 85, 86, 87],
-    80: [82, 83, 84, 85, 86, 87],
-    90: [82, 83, 84, 85, 87],
-    100: [82, 83, 84, 85, 87],
-    110: [81, 82, 83, 84, 85, 87],
-    120: [81, 82, 83, 84, 85],
-    130: [81, 82, 83, 84, 85],
-    140: [80, 81, 82, 83, 84, 85],
-    150: [80, 81, 82, 83, 84, 85],
-    160: [80, 81, 82, 83, 84],
-    170: [79, 80, 81, 82, 83, 84],
-    180: [79, 80, 81, 82, 83, 84],
-    190: [78, 79, 80, 81, 82, 83, 84],
-    200: [78, 79, 80, 81, 82, 83],
-    210: [77, 78, 79, 80, 81, 82, 83],
-    220: [77, 78, 79, 80, 81, 82, 83],
-    230: [76, 77, 78, 79, 80, 81, 82, 83],
-    240: [76, 77, 78, 79, 80, 81, 82],
-    250: [75, 76, 77, 78, 79, 80, 81, 82],
-    260: [74, 75, 76, 77, 78, 79, 80, 81],
-    270: [73, 74, 75, 76, 77, 78, 79, 80, 81],
-    280: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
-    290: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
-    300: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
-    310: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
-    320: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
-    330: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
-    340: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
-    350: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
-    360: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
-    370: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
-    380: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
-    390: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
-    400: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
-    410: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
-    420: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
-    430: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
-    440: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
-    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
-    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 352, 353, 354, 355, 356, 357, 358, 359],
-    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 352, 353, 354, 355, 356, 357, 358, 359],
-    490: [0, 352, 353, 354, 355, 356, 357, 358, 359]
+    0: [84, 85, 86, 87, 88],
+    10: [84, 85, 86, 87, 88],
+    20: [84, 85, 86, 87, 88],
+    30: [83, 84, 85, 86, 87, 88],
+    40: [83, 84, 85, 86, 87, 88],
+    50: [83, 84, 85, 86, 87, 88],
+    60: [83, 84, 85, 86, 87, 88],
+    70: [82, 83, 84, 85, 86, 87, 88],
+    80: [82, 83, 84, 85, 86, 87, 88],
+    90: [82, 83, 84, 85, 87, 88],
+    100: [82, 83, 84, 85, 87, 88],
+    110: [81, 82, 83, 84, 85, 87, 88],
+    120: [81, 82, 83, 84, 85, 88],
+    130: [81, 82, 83, 84, 85, 88],
+    140: [80, 81, 82, 83, 84, 85, 88],
+    150: [80, 81, 82, 83, 84, 85, 88],
+    160: [80, 81, 82, 83, 84, 88],
+    170: [79, 80, 81, 82, 83, 84, 88],
+    180: [79, 80, 81, 82, 83, 84, 88],
+    190: [78, 79, 80, 81, 82, 83, 84, 88],
+    200: [78, 79, 80, 81, 82, 83, 88],
+    210: [77, 78, 79, 80, 81, 82, 83, 88],
+    220: [77, 78, 79, 80, 81, 82, 83, 88],
+    230: [76, 77, 78, 79, 80, 81, 82, 83, 88],
+    240: [76, 77, 78, 79, 80, 81, 82, 88],
+    250: [75, 76, 77, 78, 79, 80, 81, 82, 88],
+    260: [74, 75, 76, 77, 78, 79, 80, 81, 88],
+    270: [73, 74, 75, 76, 77, 78, 79, 80, 81, 88],
+    280: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88],
+    290: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88],
+    300: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88],
+    310: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 88],
+    320: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    330: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    340: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    350: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    360: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    370: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88],
+    380: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    390: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    400: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 88],
+    410: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 88],
+    420: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 88],
+    430: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 88],
+    440: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 88],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 88],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 88, 352, 353, 354, 355, 356, 357, 358, 359]
   },
   180: {
     0: [83, 84, 85, 86, 87],
     10: [83, 84, 85, 87],
     20: [83, 84, 85, 87],
-    30: [82, 83, 84, 85, 87],
-    40: [82, 83, 84, 85, 87],
-    50: [82, 83, 84, 85, 87],
-    60: [82, 83, 84, 85, 87],
-    70: [81, 82, 83, 84, 87],
-    80: [81, 82, 83, 84, 87],
-    90: [81, 82, 83, 84, 87],
-    100: [80, 81, 82, 83, 84, 87],
-    110: [80, 81, 82, 83, 84, 87],
-    120: [80, 81, 82, 83, 84, 87],
-    130: [79, 80, 81, 82, 83, 87],
-    140: [79, 80, 81, 82, 83, 87],
-    150: [78, 79, 80, 81, 82, 83, 87],
-    160: [78, 79, 80, 81, 82, 83, 87],
-    170: [78, 79, 80, 81, 82, 87],
-    180: [77, 78, 79, 80, 81, 82, 87],
-    190: [76, 77, 78, 79, 80, 81, 82, 87],
-    200: [76, 77, 78, 79, 80, 81, 87],
-    210: [75, 76, 77, 78, 79, 80, 81, 87],
-    220: [75, 76, 77, 78, 79, 80, 81, 87],
-    230: [74, 75, 76, 77, 78, 79, 80, 87],
-    240: [73, 74, 75, 76, 77, 78, 79, 80, 87],
-    250: [72, 73, 74, 75, 76, 77, 78, 79, 80, 87],
-    260: [72, 73, 74, 75, 76, 77, 78, 79, 87],
-    270: [71, 72, 73, 74, 75, 76, 77, 78, 79, 87],
-    280: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 87],
-    290: [69, 70, 71, 72, 73, 74, 75, 76, 77, 87],
-    300: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 87],
-    310: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 87],
-    320: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 87],
-    330: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 87],
-    340: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 87],
-    350: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 87],
-    360: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87],
-    370: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 87],
-    380: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 87],
-    390: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 87],
-    400: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87],
-    410: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 87],
-    420: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
-    430: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 87],
-    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 87],
-    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38],
-    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 358, 359],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 352, 353, 354, 355, 356, 357, 358, 359],
-    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 352, 353, 354, 355, 356, 357, 358, 359],
-    490: [0, 1, 2, 3, 352, 353, 354, 355, 356, 357, 358, 359],
+    30: [82, 83, 84, 85, 87, 88],
+    40: [82, 83, 84, 85, 87, 88],
+    50: [82, 83, 84, 85, 87, 88],
+    60: [82, 83, 84, 85, 87, 88],
+    70: [81, 82, 83, 84, 87, 88],
+    80: [81, 82, 83, 84, 87, 88],
+    90: [81, 82, 83, 84, 87, 88],
+    100: [80, 81, 82, 83, 84, 87, 88],
+    110: [80, 81, 82, 83, 84, 87, 88],
+    120: [80, 81, 82, 83, 84, 87, 88],
+    130: [79, 80, 81, 82, 83, 87, 88],
+    140: [79, 80, 81, 82, 83, 87, 88],
+    150: [78, 79, 80, 81, 82, 83, 87, 88],
+    160: [78, 79, 80, 81, 82, 83, 87, 88],
+    170: [78, 79, 80, 81, 82, 87, 88],
+    180: [77, 78, 79, 80, 81, 82, 87, 88],
+    190: [76, 77, 78, 79, 80, 81, 82, 87, 88],
+    200: [76, 77, 78, 79, 80, 81, 87, 88],
+    210: [75, 76, 77, 78, 79, 80, 81, 87, 88],
+    220: [75, 76, 77, 78, 79, 80, 81, 87, 88],
+    230: [74, 75, 76, 77, 78, 79, 80, 87, 88],
+    240: [73, 74, 75, 76, 77, 78, 79, 80, 87, 88],
+    250: [72, 73, 74, 75, 76, 77, 78, 79, 80, 87, 88],
+    260: [72, 73, 74, 75, 76, 77, 78, 79, 87, 88],
+    270: [71, 72, 73, 74, 75, 76, 77, 78, 79, 87, 88],
+    280: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 87, 88],
+    290: [69, 70, 71, 72, 73, 74, 75, 76, 77, 87, 88],
+    300: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 87, 88],
+    310: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 87, 88],
+    320: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 87, 88],
+    330: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 87, 88],
+    340: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 87, 88],
+    350: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 87, 88],
+    360: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87, 88],
+    370: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 87, 88],
+    380: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 87, 88],
+    390: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 87, 88],
+    400: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87, 88],
+    410: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 87, 88],
+    420: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 88],
+    430: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 87, 88],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 87, 88],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 88],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 88, 358, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 1, 2, 3, 88, 352, 353, 354, 355, 356, 357, 358, 359],
     500: [352, 353]
   },
   190: {
@@ -997,7 +1042,7 @@ export default {
     450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 87],
     460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 87],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 87, 352, 353, 354, 355, 356, 357, 358, 359],
-    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 87, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 87, 88, 352, 353, 354, 355, 356, 357, 358, 359],
     490: [0, 87, 352, 353, 354, 355, 356, 357, 358, 359]
   },
   200: {
@@ -0,0 +1,4578 @@
+// Firing Table Data for World 5
+// Cannonball size level 5 (radius 12.0px)
+// Generated on 2026-10-19T18:31:50.596Z
+export default {
+  0: {
+    0: [96, 100, 101, 102],
+    10: [96, 101, 102],
+    20: [96, 101, 102, 103],
+    30: [96, 101, 102, 103],
+    40: [95, 96, 102, 103],
+    50: [95, 96, 102, 103, 104],
+    60: [95, 96, 102, 103, 104],
+    70: [95, 96, 103, 104, 105],
+    80: [95, 96, 103, 104, 105],
+    90: [95, 96, 104, 105, 106],
+    100: [95, 96, 104, 105, 106],
+    110: [95, 104, 105, 106, 107],
+    120: [95, 105, 106, 107, 108],
+    130: [95, 105, 106, 107, 108],
+    140: [95, 106, 107, 108, 109],
+    150: [95, 107, 108, 109],
+    160: [95, 107, 108, 109, 110],
+    170: [95, 107, 108, 109, 110, 111],
+    180: [95, 108, 109, 110, 111, 112],
+    190: [95, 109, 110, 111, 112],
+    200: [95, 110, 111, 112, 113],
+    210: [95, 110, 111, 112, 113, 114],
+    220: [95, 111, 112, 113, 114, 115],
+    230: [95, 112, 113, 114, 115, 116],
+    240: [95, 113, 114, 115, 116, 117],
+    250: [95, 114, 115, 116, 117, 118],
+    260: [95, 115, 116, 117, 118, 119, 120],
+    270: [95, 116, 117, 118, 119, 120, 121],
+    280: [95, 117, 118, 119, 120, 121, 122],
+    290: [95, 118, 119, 120, 121, 122, 123, 124],
+    300: [95, 120, 121, 122, 123, 124, 125],
+    310: [95, 121, 122, 123, 124, 125, 126, 127, 128],
+    320: [95, 123, 124, 125, 126, 127, 128, 129],
+    330: [95, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    340: [95, 126, 127, 128, 129, 130, 131, 132, 133],
+    350: [95, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    360: [95, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    370: [95, 134, 135, 136, 137, 138, 139, 140, 141],
+    380: [95, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    390: [95, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    400: [95, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    410: [95, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    420: [95, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    430: [95, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    440: [95, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    450: [95, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [95, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [95, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [95, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    490: [95, 180, 181, 182, 183, 184, 185],
+    500: [185]
+  },
+  10: {
+    0: [95, 96, 99, 100, 101],
+    10: [95, 96, 100, 101],
+    20: [95, 100, 101, 102],
+    30: [95, 100, 101, 102],
+    40: [95, 101, 102, 103],
+    50: [95, 101, 102, 103],
+    60: [95, 101, 102, 103],
+    70: [95, 102, 103, 104],
+    80: [95, 102, 103, 104],
+    90: [95, 102, 103, 104, 105],
+    100: [95, 103, 104, 105],
+    110: [95, 103, 104, 105, 106],
+    120: [95, 104, 105, 106],
+    130: [95, 104, 105, 106, 107],
+    140: [95, 104, 105, 106, 107],
+    150: [95, 105, 106, 107, 108],
+    160: [95, 106, 107, 108, 109],
+    170: [95, 106, 107, 108, 109],
+    180: [95, 107, 108, 109, 110],
+    190: [95, 107, 108, 109, 110, 111],
+    200: [95, 108, 109, 110, 111, 112],
+    210: [95, 109, 110, 111, 112],
+    220: [95, 109, 110, 111, 112, 113, 114],
+    230: [94, 95, 110, 111, 112, 113, 114],
+    240: [94, 95, 111, 112, 113, 114, 115],
+    250: [94, 95, 112, 113, 114, 115, 116, 117],
+    260: [94, 95, 113, 114, 115, 116, 117],
+    270: [94, 95, 114, 115, 116, 117, 118, 119],
+    280: [94, 95, 115, 116, 117, 118, 119, 120],
+    290: [94, 95, 116, 117, 118, 119, 120, 121, 122],
+    300: [94, 95, 118, 119, 120, 121, 122, 123, 124],
+    310: [94, 119, 120, 121, 122, 123, 124, 125],
+    320: [94, 120, 121, 122, 123, 124, 125, 126, 127],
+    330: [94, 122, 123, 124, 125, 126, 127, 128, 129],
+    340: [94, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    350: [94, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    360: [94, 129, 130, 131, 132, 133, 134, 135, 136],
+    370: [94, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    380: [94, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    390: [94, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    400: [94, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    410: [94, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    420: [94, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    430: [94, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    440: [94, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167],
+    450: [94, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    460: [94, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177],
+    470: [94, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    480: [94, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [94, 181, 182, 183, 184, 185, 186]
+  },
+  20: {
+    0: [95, 98, 99, 100],
+    10: [95, 99, 100],
+    20: [95, 99, 100, 101],
+    30: [95, 99, 100, 101],
+    40: [95, 100, 101, 102],
+    50: [94, 95, 100, 101, 102],
+    60: [94, 95, 100, 101, 102],
+    70: [94, 95, 101, 102, 103],
+    80: [94, 95, 101, 102, 103],
+    90: [94, 95, 101, 102, 103, 104],
+    100: [94, 95, 102, 103, 104],
+    110: [94, 95, 102, 103, 104, 105],
+    120: [94, 95, 102, 103, 104, 105],
+    130: [94, 103, 104, 105, 106],
+    140: [94, 103, 104, 105, 106],
+    150: [94, 104, 105, 106, 107],
+    160: [94, 104, 105, 106, 107],
+    170: [94, 105, 106, 107, 108],
+    180: [94, 105, 106, 107, 108],
+    190: [94, 106, 107, 108, 109],
+    200: [94, 106, 107, 108, 109, 110],
+    210: [94, 107, 108, 109, 110, 111],
+    220: [94, 107, 108, 109, 110, 111, 112],
+    230: [94, 108, 109, 110, 111, 112, 113],
+    240: [94, 109, 110, 111, 112, 113],
+    250: [94, 110, 111, 112, 113, 114, 115],
+    260: [94, 111, 112, 113, 114, 115, 116],
+    270: [94, 112, 113, 114, 115, 116, 117],
+    280: [94, 113, 114, 115, 116, 117, 118, 119],
+    290: [94, 114, 115, 116, 117, 118, 119],
+    300: [94, 115, 116, 117, 118, 119, 120, 121, 122],
+    310: [94, 117, 118, 119, 120, 121, 122, 123],
+    320: [94, 118, 119, 120, 121, 122, 123, 124, 125],
+    330: [94, 120, 121, 122, 123, 124, 125, 126, 127],
+    340: [94, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    350: [94, 124, 125, 126, 127, 128, 129, 130, 131],
+    360: [94, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    370: [94, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    380: [94, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    390: [94, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    400: [94, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    410: [94, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    420: [94, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    430: [94, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    440: [94, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [94, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    460: [94, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [94, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [94, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [94, 180, 181, 182, 183, 184, 185, 186],
+    500: [186]
+  },
+  30: {
+    0: [94, 95, 98, 99],
+    10: [94, 95, 98, 99],
+    20: [94, 98, 99, 100],
+    30: [94, 98, 99, 100],
+    40: [94, 99, 100, 101],
+    50: [94, 99, 100, 101],
+    60: [94, 99, 100, 101],
+    70: [94, 99, 100, 101, 102],
+    80: [94, 100, 101, 102],
+    90: [94, 100, 101, 102],
+    100: [94, 100, 101, 102, 103],
+    110: [94, 101, 102, 103],
+    120: [94, 101, 102, 103, 104],
+    130: [94, 101, 102, 103, 104],
+    140: [94, 102, 103, 104, 105],
+    150: [94, 102, 103, 104, 105],
+    160: [94, 103, 104, 105, 106],
+    170: [94, 103, 104, 105, 106, 107],
+    180: [94, 104, 105, 106, 107],
+    190: [94, 104, 105, 106, 107, 108],
+    200: [94, 104, 105, 106, 107, 108, 109],
+    210: [94, 105, 106, 107, 108, 109],
+    220: [94, 106, 107, 108, 109, 110],
+    230: [94, 106, 107, 108, 109, 110, 111],
+    240: [94, 107, 108, 109, 110, 111, 112],
+    250: [94, 108, 109, 110, 111, 112, 113],
+    260: [94, 109, 110, 111, 112, 113, 114],
+    270: [94, 110, 111, 112, 113, 114, 115],
+    280: [94, 110, 111, 112, 113, 114, 115, 116],
+    290: [94, 112, 113, 114, 115, 116, 117, 118],
+    300: [94, 113, 114, 115, 116, 117, 118, 119],
+    310: [94, 114, 115, 116, 117, 118, 119, 120, 121],
+    320: [94, 115, 116, 117, 118, 119, 120, 121, 122],
+    330: [94, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    340: [94, 119, 120, 121, 122, 123, 124, 125, 126],
+    350: [94, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    360: [94, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    370: [94, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    380: [94, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    390: [93, 94, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    400: [93, 94, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    410: [93, 94, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    420: [93, 94, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    430: [93, 94, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    440: [93, 94, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [93, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    460: [93, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [93, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    480: [93, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [182, 183, 184, 185, 186, 187, 188]
+  },
+  40: {
+    0: [94, 97, 98],
+    10: [94, 97, 98, 99],
+    20: [94, 97, 98, 99],
+    30: [94, 97, 98, 99],
+    40: [94, 98, 99],
+    50: [94, 98, 99, 100],
+    60: [94, 98, 99, 100],
+    70: [94, 98, 99, 100],
+    80: [93, 94, 99, 100, 101],
+    90: [93, 94, 99, 100, 101],
+    100: [93, 94, 99, 100, 101, 102],
+    110: [93, 94, 99, 100, 101, 102],
+    120: [93, 94, 100, 101, 102],
+    130: [93, 94, 100, 101, 102, 103],
+    140: [93, 94, 100, 101, 102, 103],
+    150: [93, 94, 101, 102, 103, 104],
+    160: [93, 94, 101, 102, 103, 104],
+    170: [93, 94, 101, 102, 103, 104, 105],
+    180: [93, 94, 102, 103, 104, 105, 106],
+    190: [93, 103, 104, 105, 106],
+    200: [93, 103, 104, 105, 106, 107],
+    210: [93, 103, 104, 105, 106, 107, 108],
+    220: [93, 104, 105, 106, 107, 108],
+    230: [93, 104, 105, 106, 107, 108, 109],
+    240: [93, 105, 106, 107, 108, 109, 110],
+    250: [93, 106, 107, 108, 109, 110, 111],
+    260: [93, 106, 107, 108, 109, 110, 111, 112],
+    270: [93, 107, 108, 109, 110, 111, 112, 113],
+    280: [93, 108, 109, 110, 111, 112, 113, 114],
+    290: [93, 109, 110, 111, 112, 113, 114, 115, 116],
+    300: [93, 111, 112, 113, 114, 115, 116],
+    310: [93, 111, 112, 113, 114, 115, 116, 117, 118],
+    320: [93, 113, 114, 115, 116, 117, 118, 119, 120],
+    330: [93, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    340: [93, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    350: [93, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    360: [93, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    370: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    380: [93, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    390: [93, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    400: [93, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    410: [93, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    420: [93, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    430: [93, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    440: [93, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [93, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    460: [93, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [93, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    480: [93, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [93, 181, 182, 183, 184, 185, 186, 187, 188],
+    500: [188]
+  },
+  50: {
+    0: [93, 94, 96, 97],
+    10: [93, 94, 96, 97, 98],
+    20: [93, 94, 96, 97, 98],
+    30: [93, 96, 97, 98],
+    40: [93, 96, 97, 98],
+    50: [93, 97, 98, 99],
+    60: [93, 97, 98, 99],
+    70: [93, 97, 98, 99],
+    80: [93, 97, 98, 99, 100],
+    90: [93, 98, 99, 100],
+    100: [93, 98, 99, 100],
+    110: [93, 98, 99, 100, 101],
+    120: [93, 98, 99, 100, 101],
+    130: [93, 99, 100, 101, 102],
+    140: [93, 99, 100, 101, 102],
+    150: [93, 99, 100, 101, 102],
+    160: [93, 100, 101, 102, 103],
+    170: [93, 100, 101, 102, 103],
+    180: [93, 100, 101, 102, 103, 104],
+    190: [93, 101, 102, 103, 104],
+    200: [93, 101, 102, 103, 104, 105],
+    210: [93, 101, 102, 103, 104, 105, 106],
+    220: [93, 102, 103, 104, 105, 106],
+    230: [93, 103, 104, 105, 106, 107],
+    240: [93, 103, 104, 105, 106, 107, 108],
+    250: [93, 104, 105, 106, 107, 108, 109],
+    260: [93, 104, 105, 106, 107, 108, 109],
+    270: [93, 105, 106, 107, 108, 109, 110, 111],
+    280: [93, 106, 107, 108, 109, 110, 111, 112],
+    290: [93, 106, 107, 108, 109, 110, 111, 112, 113],
+    300: [93, 107, 108, 109, 110, 111, 112, 113, 114],
+    310: [93, 109, 110, 111, 112, 113, 114, 115],
+    320: [93, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    330: [93, 111, 112, 113, 114, 115, 116, 117, 118],
+    340: [93, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    350: [93, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    360: [93, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    370: [93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    380: [93, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    390: [93, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    400: [93, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    410: [93, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    420: [93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    430: [93, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    440: [93, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [93, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    460: [93, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [93, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [93, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    490: [183, 184, 185, 186, 187, 188, 189, 190, 191, 192]
+  },
+  60: {
+    0: [93, 95, 96],
+    10: [93, 95, 96, 97],
+    20: [93, 95, 96, 97],
+    30: [93, 95, 96, 97],
+    40: [93, 95, 96, 97],
+    50: [93, 96, 97, 98],
+    60: [93, 96, 97, 98],
+    70: [93, 96, 97, 98],
+    80: [93, 96, 97, 98, 99],
+    90: [93, 96, 97, 98, 99],
+    100: [93, 97, 98, 99],
+    110: [93, 97, 98, 99],
+    120: [93, 97, 98, 99, 100],
+    130: [93, 97, 98, 99, 100],
+    140: [93, 97, 98, 99, 100, 101],
+    150: [93, 98, 99, 100, 101],
+    160: [92, 93, 98, 99, 100, 101],
+    170: [92, 93, 98, 99, 100, 101, 102],
+    180: [92, 93, 98, 99, 100, 101, 102],
+    190: [92, 93, 99, 100, 101, 102, 103],
+    200: [92, 93, 99, 100, 101, 102, 103],
+    210: [92, 93, 100, 101, 102, 103, 104],
+    220: [92, 93, 100, 101, 102, 103, 104, 105],
+    230: [92, 93, 101, 102, 103, 104, 105],
+    240: [92, 93, 101, 102, 103, 104, 105, 106],
+    250: [92, 93, 101, 102, 103, 104, 105, 106, 107],
+    260: [92, 93, 102, 103, 104, 105, 106, 107],
+    270: [92, 93, 102, 103, 104, 105, 106, 107, 108],
+    280: [92, 93, 103, 104, 105, 106, 107, 108, 109],
+    290: [92, 104, 105, 106, 107, 108, 109, 110],
+    300: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    310: [92, 106, 107, 108, 109, 110, 111, 112, 113],
+    320: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    330: [92, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    340: [92, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    350: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    360: [92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    370: [92, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    380: [92, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    390: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    400: [92, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    410: [92, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    420: [92, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    430: [92, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    440: [92, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    450: [92, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    460: [92, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [92, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [92, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    490: [181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    500: [191, 192]
+  },
+  70: {
+    0: [92, 93, 94, 95, 96],
+    10: [92, 93, 94, 95, 96],
+    20: [92, 93, 94, 95, 96],
+    30: [92, 93, 94, 95, 96],
+    40: [92, 94, 95, 96],
+    50: [92, 95, 96, 97],
+    60: [92, 95, 96, 97],
+    70: [92, 95, 96, 97],
+    80: [92, 95, 96, 97],
+    90: [92, 95, 96, 97, 98],
+    100: [92, 95, 96, 97, 98],
+    110: [92, 96, 97, 98],
+    120: [92, 96, 97, 98],
+    130: [92, 96, 97, 98, 99],
+    140: [92, 96, 97, 98, 99],
+    150: [92, 96, 97, 98, 99],
+    160: [92, 96, 97, 98, 99, 100],
+    170: [92, 97, 98, 99, 100],
+    180: [92, 97, 98, 99, 100, 101],
+    190: [92, 97, 98, 99, 100, 101],
+    200: [92, 97, 98, 99, 100, 101],
+    210: [92, 98, 99, 100, 101, 102],
+    220: [92, 98, 99, 100, 101, 102, 103],
+    230: [92, 98, 99, 100, 101, 102, 103],
+    240: [92, 99, 100, 101, 102, 103],
+    250: [92, 99, 100, 101, 102, 103, 104],
+    260: [92, 100, 101, 102, 103, 104, 105],
+    270: [92, 100, 101, 102, 103, 104, 105, 106],
+    280: [92, 100, 101, 102, 103, 104, 105, 106, 107],
+    290: [92, 101, 102, 103, 104, 105, 106, 107],
+    300: [92, 102, 103, 104, 105, 106, 107, 108, 109],
+    310: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    320: [92, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    330: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    340: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    350: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    360: [92, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    370: [92, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    380: [92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    390: [92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    400: [92, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    410: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    420: [92, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    430: [92, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    440: [92, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    450: [92, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    460: [92, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [92, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [92, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
+    490: [92, 185, 186, 187, 188, 189, 190, 191, 192]
+  },
+  80: {
+    0: [92, 93, 94, 95],
+    10: [92, 93, 94, 95],
+    20: [92, 93, 94, 95],
+    30: [92, 93, 94, 95],
+    40: [92, 93, 94, 95],
+    50: [92, 93, 94, 95, 96],
+    60: [92, 94, 95, 96],
+    70: [92, 94, 95, 96],
+    80: [92, 94, 95, 96],
+    90: [92, 94, 95, 96],
+    100: [92, 94, 95, 96, 97],
+    110: [92, 94, 95, 96, 97],
+    120: [92, 94, 95, 96, 97],
+    130: [92, 94, 95, 96, 97],
+    140: [92, 94, 95, 96, 97, 98],
+    150: [92, 95, 96, 97, 98],
+    160: [92, 95, 96, 97, 98],
+    170: [92, 95, 96, 97, 98],
+    180: [92, 95, 96, 97, 98, 99],
+    190: [92, 95, 96, 97, 98, 99],
+    200: [92, 95, 96, 97, 98, 99, 100],
+    210: [92, 96, 97, 98, 99, 100],
+    220: [92, 96, 97, 98, 99, 100, 101],
+    230: [92, 96, 97, 98, 99, 100, 101],
+    240: [92, 97, 98, 99, 100, 101],
+    250: [92, 97, 98, 99, 100, 101, 102],
+    260: [92, 97, 98, 99, 100, 101, 102, 103],
+    270: [92, 98, 99, 100, 101, 102, 103],
+    280: [92, 98, 99, 100, 101, 102, 103, 104],
+    290: [92, 98, 99, 100, 101, 102, 103, 104, 105],
+    300: [92, 99, 100, 101, 102, 103, 104, 105, 106],
+    310: [92, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    320: [92, 100, 101, 102, 103, 104, 105, 106, 107],
+    330: [92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    340: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    350: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    360: [92, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    370: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    380: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    390: [92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    400: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    410: [92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    420: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    430: [92, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    440: [92, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    450: [92, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    460: [92],
+    470: [92],
+    480: [92]
+  },
+  90: {
+    0: [91, 92, 93, 94],
+    10: [91, 92, 93, 94],
+    20: [91, 92, 93, 94],
+    30: [91, 92, 93, 94],
+    40: [91, 92, 93, 94],
+    50: [91, 92, 93, 94],
+    60: [91, 92, 93, 94, 95],
+    70: [91, 92, 93, 94, 95],
+    80: [91, 92, 93, 94, 95],
+    90: [91, 93, 94, 95],
+    100: [91, 93, 94, 95],
+    110: [91, 93, 94, 95],
+    120: [91, 93, 94, 95, 96],
+    130: [91, 93, 94, 95, 96],
+    140: [91, 93, 94, 95, 96],
+    150: [91, 93, 94, 95, 96],
+    160: [91, 93, 94, 95, 96, 97],
+    170: [91, 93, 94, 95, 96, 97],
+    180: [91, 94, 95, 96, 97],
+    190: [91, 93, 94, 95, 96, 97],
+    200: [91, 94, 95, 96, 97, 98],
+    210: [91, 94, 95, 96, 97, 98],
+    220: [91, 94, 95, 96, 97, 98],
+    230: [91, 94, 95, 96, 97, 98, 99],
+    240: [91, 94, 95, 96, 97, 98, 99],
+    250: [91, 94, 95, 96, 97, 98, 99, 100],
+    260: [91, 95, 96, 97, 98, 99, 100],
+    270: [91, 95, 96, 97, 98, 99, 100, 101],
+    280: [91, 95, 96, 97, 98, 99, 100, 101, 102],
+    290: [91, 95, 96, 97, 98, 99, 100, 101, 102],
+    300: [91, 96, 97, 98, 99, 100, 101, 102],
+    310: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    320: [91, 97, 98, 99, 100, 101, 102, 103, 104],
+    330: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    340: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    350: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    360: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    370: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    380: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    390: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    400: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    410: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    420: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    430: [91, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    440: [91, 127, 128, 129, 130, 131, 132, 133, 134],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91]
+  },
+  100: {
+    0: [91, 92, 93],
+    10: [91, 92, 93],
+    20: [91, 92, 93],
+    30: [91, 92, 93],
+    40: [91, 92, 93],
+    50: [91, 92, 93],
+    60: [91, 92, 93],
+    70: [91, 92, 93, 94],
+    80: [91, 92, 93, 94],
+    90: [91, 92, 93, 94],
+    100: [91, 92, 93, 94],
+    110: [91, 92, 93, 94],
+    120: [91, 92, 93, 94],
+    130: [91, 92, 93, 94],
+    140: [91, 92, 93, 94, 95],
+    150: [91, 92, 93, 94, 95],
+    160: [91, 92, 93, 94, 95],
+    170: [91, 92, 93, 94, 95],
+    180: [91, 92, 93, 94, 95],
+    190: [91, 92, 93, 94, 95, 96],
+    200: [91, 92, 93, 94, 95, 96],
+    210: [91, 92, 93, 94, 95, 96],
+    220: [91, 92, 93, 94, 95, 96],
+    230: [91, 92, 93, 94, 95, 96, 97],
+    240: [91, 92, 93, 94, 95, 96, 97],
+    250: [91, 92, 93, 94, 95, 96, 97],
+    260: [91, 92, 93, 94, 95, 96, 97, 98],
+    270: [91, 92, 93, 94, 95, 96, 97, 98],
+    280: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    290: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    300: [91, 93, 94, 95, 96, 97, 98, 99],
+    310: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    320: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    330: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    340: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    350: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    360: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    370: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    380: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    390: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    400: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    410: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    420: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    430: [91, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91]
+  },
+  110: {
+    0: [90, 91, 92],
+    10: [90, 91, 92],
+    20: [90, 91, 92],
+    30: [90, 91, 92],
+    40: [90, 91, 92],
+    50: [90, 91, 92],
+    60: [90, 91, 92],
+    70: [90, 91, 92],
+    80: [90, 91, 92],
+    90: [90, 91, 92, 93],
+    100: [90, 91, 92, 93],
+    110: [90, 91, 92, 93],
+    120: [90, 91, 92, 93],
+    130: [90, 91, 92, 93],
+    140: [90, 91, 92, 93],
+    150: [90, 91, 92, 93],
+    160: [90, 91, 92, 93],
+    170: [90, 91, 92, 93, 94],
+    180: [90, 91, 92, 93],
+    190: [90, 91, 92, 93, 94],
+    200: [90, 91, 92, 93, 94],
+    210: [90, 91, 92, 93, 94],
+    220: [90, 91, 92, 93, 94],
+    230: [90, 91, 92, 93, 94, 95],
+    240: [90, 91, 92, 93, 94, 95],
+    250: [90, 91, 92, 93, 94, 95],
+    260: [90, 91, 92, 93, 94, 95, 96],
+    270: [90, 91, 92, 93, 94, 95, 96],
+    280: [90, 91, 92, 93, 94, 95, 96],
+    290: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    300: [90, 91, 92, 93, 94, 95, 96],
+    310: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    320: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    330: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    340: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    350: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    360: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    370: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    380: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    390: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    400: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    410: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    420: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    430: [90, 99, 100, 101, 102, 103, 104, 105, 106],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90]
+  },
+  120: {
+    0: [89, 90, 91],
+    10: [89, 90, 91],
+    20: [89, 90, 91],
+    30: [89, 90, 91],
+    40: [89, 90, 91],
+    50: [89, 90, 91],
+    60: [89, 90, 91],
+    70: [89, 90, 91],
+    80: [89, 90, 91],
+    90: [89, 90, 91],
+    100: [89, 90, 91],
+    110: [89, 90, 91],
+    120: [89, 90, 91],
+    130: [89, 90, 91],
+    140: [89, 90, 91],
+    150: [88, 89, 90, 91, 92],
+    160: [88, 89, 90, 91, 92],
+    170: [88, 89, 90, 91, 92],
+    180: [88, 89, 90, 91, 92],
+    190: [88, 89, 90, 91, 92],
+    200: [88, 89, 90, 91, 92],
+    210: [88, 89, 90, 91, 92],
+    220: [88, 89, 90, 91, 92],
+    230: [87, 88, 89, 90, 91, 92, 93],
+    240: [87, 88, 89, 90, 91, 92, 93],
+    250: [88, 89, 90, 91, 92],
+    260: [87, 88, 89, 90, 91, 92, 93],
+    270: [87, 88, 89, 90, 91, 92, 93],
+    280: [87, 88, 89, 90, 91, 92, 93],
+    290: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    300: [87, 88, 89, 90, 91, 92, 93],
+    310: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    320: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    330: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    340: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    350: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    360: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    370: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    380: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    390: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    400: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    410: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    420: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    430: [90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90]
+  },
+  130: {
+    0: [88, 89, 90],
+    10: [88, 89, 90],
+    20: [88, 89, 90],
+    30: [88, 89, 90],
+    40: [88, 89, 90],
+    50: [88, 89, 90],
+    60: [88, 89, 90],
+    70: [88, 89, 90],
+    80: [88, 89, 90],
+    90: [87, 88, 89, 90],
+    100: [87, 88, 89, 90],
+    110: [87, 88, 89, 90],
+    120: [87, 88, 89, 90],
+    130: [87, 88, 89, 90],
+    140: [87, 88, 89, 90],
+    150: [87, 88, 89, 90],
+    160: [87, 88, 89, 90],
+    170: [86, 87, 88, 89, 90],
+    180: [87, 88, 89, 90],
+    190: [86, 87, 88, 89, 90],
+    200: [86, 87, 88, 89, 90],
+    210: [86, 87, 88, 89, 90],
+    220: [86, 87, 88, 89, 90],
+    230: [85, 86, 87, 88, 89, 90],
+    240: [85, 86, 87, 88, 89, 90],
+    250: [85, 86, 87, 88, 89, 90],
+    260: [84, 85, 86, 87, 88, 89, 90],
+    270: [84, 85, 86, 87, 88, 89, 90],
+    280: [84, 85, 86, 87, 88, 89, 90],
+    290: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    300: [84, 85, 86, 87, 88, 89, 90],
+    310: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    320: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    330: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    340: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    350: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
+    360: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    370: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
+    380: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    390: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    400: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    410: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    420: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    430: [74, 75, 76, 77, 78, 79, 80, 81, 90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90]
+  },
+  140: {
+    0: [87, 88, 89],
+    10: [87, 88, 89],
+    20: [87, 88, 89],
+    30: [87, 88, 89],
+    40: [87, 88, 89],
+    50: [87, 88, 89],
+    60: [87, 88, 89],
+    70: [86, 87, 88, 89],
+    80: [86, 87, 88, 89],
+    90: [86, 87, 88, 89],
+    100: [86, 87, 88, 89],
+    110: [86, 87, 88, 89],
+    120: [86, 87, 88, 89],
+    130: [86, 87, 88, 89],
+    140: [85, 86, 87, 88, 89],
+    150: [85, 86, 87, 88, 89],
+    160: [85, 86, 87, 88, 89],
+    170: [85, 86, 87, 88, 89],
+    180: [85, 86, 87, 88, 89],
+    190: [84, 85, 86, 87, 88, 89],
+    200: [84, 85, 86, 87, 88, 89],
+    210: [84, 85, 86, 87, 88, 89],
+    220: [84, 85, 86, 87, 88, 89],
+    230: [83, 84, 85, 86, 87, 88, 89],
+    240: [83, 84, 85, 86, 87, 88, 89],
+    250: [83, 84, 85, 86, 87, 88, 89],
+    260: [82, 83, 84, 85, 86, 87, 88, 89],
+    270: [82, 83, 84, 85, 86, 87, 88, 89],
+    280: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    290: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    300: [81, 82, 83, 84, 85, 86, 87, 89],
+    310: [79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    320: [79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    330: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    340: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    350: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    360: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    370: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    380: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    390: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    400: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    410: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    420: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    430: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89]
+  },
+  150: {
+    0: [86, 87, 88, 89],
+    10: [86, 87, 88, 89],
+    20: [86, 87, 88, 89],
+    30: [86, 87, 88, 89],
+    40: [86, 87, 88, 89],
+    50: [86, 87, 88, 89],
+    60: [85, 86, 87, 88, 89],
+    70: [85, 86, 87, 88, 89],
+    80: [85, 86, 87, 88, 89],
+    90: [85, 86, 87, 89],
+    100: [85, 86, 87, 89],
+    110: [85, 86, 87, 89],
+    120: [84, 85, 86, 87, 89],
+    130: [84, 85, 86, 87, 89],
+    140: [84, 85, 86, 87, 89],
+    150: [84, 85, 86, 87, 89],
+    160: [83, 84, 85, 86, 87, 89],
+    170: [83, 84, 85, 86, 87, 89],
+    180: [83, 84, 85, 86, 89],
+    190: [83, 84, 85, 86, 87, 89],
+    200: [82, 83, 84, 85, 86, 89],
+    210: [82, 83, 84, 85, 86, 89],
+    220: [82, 83, 84, 85, 86, 89],
+    230: [81, 82, 83, 84, 85, 86, 89],
+    240: [81, 82, 83, 84, 85, 86, 89],
+    250: [80, 81, 82, 83, 84, 85, 86, 89],
+    260: [80, 81, 82, 83, 84, 85, 89],
+    270: [79, 80, 81, 82, 83, 84, 85, 89],
+    280: [78, 79, 80, 81, 82, 83, 84, 85, 89],
+    290: [78, 79, 80, 81, 82, 83, 84, 85, 89],
+    300: [78, 79, 80, 81, 82, 83, 84, 89],
+    310: [76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    320: [76, 77, 78, 79, 80, 81, 82, 83, 89],
+    330: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    340: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    350: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    360: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    370: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    380: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    390: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    400: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    410: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    420: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    430: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 89],
+    440: [46, 47, 48, 49, 50, 51, 52, 53, 89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89]
+  },
+  160: {
+    0: [85, 86, 87, 88],
+    10: [85, 86, 87, 88],
+    20: [85, 86, 87, 88],
+    30: [85, 86, 87, 88],
+    40: [85, 86, 87, 88],
+    50: [84, 85, 86, 87, 88],
+    60: [84, 85, 86, 88],
+    70: [84, 85, 86, 88],
+    80: [84, 85, 86, 88],
+    90: [84, 85, 86, 88],
+    100: [83, 84, 85, 86, 88],
+    110: [83, 84, 85, 86, 88],
+    120: [83, 84, 85, 86, 88],
+    130: [83, 84, 85, 86, 88],
+    140: [82, 83, 84, 85, 86, 88],
+    150: [82, 83, 84, 85, 88],
+    160: [82, 83, 84, 85, 88],
+    170: [82, 83, 84, 85, 88],
+    180: [81, 82, 83, 84, 85, 88],
+    190: [81, 82, 83, 84, 85, 88],
+    200: [80, 81, 82, 83, 84, 85, 88],
+    210: [80, 81, 82, 83, 84, 88],
+    220: [79, 80, 81, 82, 83, 84, 88],
+    230: [79, 80, 81, 82, 83, 84, 88],
+    240: [79, 80, 81, 82, 83, 88],
+    250: [78, 79, 80, 81, 82, 83, 88],
+    260: [77, 78, 79, 80, 81, 82, 83, 88],
+    270: [77, 78, 79, 80, 81, 82, 88],
+    280: [76, 77, 78, 79, 80, 81, 82, 88],
+    290: [75, 76, 77, 78, 79, 80, 81, 82, 88],
+    300: [74, 75, 76, 77, 78, 79, 80, 81, 88],
+    310: [73, 74, 75, 76, 77, 78, 79, 80, 81, 88],
+    320: [73, 74, 75, 76, 77, 78, 79, 80, 88],
+    330: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88],
+    340: [70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    350: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    360: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 88],
+    370: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    380: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    390: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88],
+    400: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    410: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88],
+    420: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    430: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 88],
+    440: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 88],
+    450: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 88],
+    460: [88],
+    470: [88],
+    480: [88]
+  },
+  170: {
+    0: [84, 85, 86, 87, 88],
+    10: [84, 85, 86, 87, 88],
+    20: [84, 85, 86, 87, 88],
+    30: [84, 85, 86, 87, 88],
+    40: [84, 85, 86, 88],
+    50: [83, 84, 85, 88],
+    60: [83, 84, 85, 88],
+    70: [83, 84, 85, 88],
+    80: [83, 84, 85, 88],
+    90: [82, 83, 84, 85, 88],
+    100: [82, 83, 84, 85, 88],
+    110: [82, 83, 84, 88],
+    120: [82, 83, 84, 88],
+    130: [81, 82, 83, 84, 88],
+    140: [81, 82, 83, 84, 88],
+    150: [81, 82, 83, 84, 88],
+    160: [80, 81, 82, 83, 84, 88],
+    170: [80, 81, 82, 83, 88],
+    180: [79, 80, 81, 82, 83, 88],
+    190: [79, 80, 81, 82, 83, 88],
+    200: [79, 80, 81, 82, 83, 88],
+    210: [78, 79, 80, 81, 82, 88],
+    220: [77, 78, 79, 80, 81, 82, 88],
+    230: [77, 78, 79, 80, 81, 82, 88],
+    240: [77, 78, 79, 80, 81, 88],
+    250: [76, 77, 78, 79, 80, 81, 88],
+    260: [75, 76, 77, 78, 79, 80, 88],
+    270: [74, 75, 76, 77, 78, 79, 80, 88],
+    280: [73, 74, 75, 76, 77, 78, 79, 80, 88],
+    290: [73, 74, 75, 76, 77, 78, 79, 88],
+    300: [71, 72, 73, 74, 75, 76, 77, 78, 88],
+    310: [70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    320: [69, 70, 71, 72, 73, 74, 75, 76, 77, 88],
+    330: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    340: [66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    350: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    360: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 88],
+    370: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 88],
+    380: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88],
+    390: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88],
+    400: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 88],
+    410: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    420: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 88],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 88],
+    440: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 88],
+    450: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 88],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 88, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 88, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [88, 348, 349, 350, 351, 352, 353, 354, 355]
+  },
+  180: {
+    0: [84, 85, 87],
+    10: [83, 84, 85, 87],
+    20: [83, 84, 85, 87],
+    30: [83, 84, 85, 87],
+    40: [83, 84, 85, 87],
+    50: [82, 83, 84, 87],
+    60: [82, 83, 84, 87],
+    70: [82, 83, 84, 87],
+    80: [81, 82, 83, 84, 87],
+    90: [81, 82, 83, 84, 87],
+    100: [81, 82, 83, 87],
+    110: [81, 82, 83, 87],
+    120: [80, 81, 82, 83, 87],
+    130: [80, 81, 82, 83, 87],
+    140: [79, 80, 81, 82, 83, 87],
+    150: [79, 80, 81, 82, 87],
+    160: [79, 80, 81, 82, 87, 88],
+    170: [78, 79, 80, 81, 82, 87, 88],
+    180: [78, 79, 80, 81, 82, 87, 88],
+    190: [77, 78, 79, 80, 81, 87, 88],
+    200: [77, 78, 79, 80, 81, 87, 88],
+    210: [76, 77, 78, 79, 80, 87, 88],
+    220: [75, 76, 77, 78, 79, 80, 87, 88],
+    230: [75, 76, 77, 78, 79, 87, 88],
+    240: [74, 75, 76, 77, 78, 79, 87, 88],
+    250: [73, 74, 75, 76, 77, 78, 79, 87, 88],
+    260: [73, 74, 75, 76, 77, 78, 87, 88],
+    270: [72, 73, 74, 75, 76, 77, 78, 87, 88],
+    280: [71, 72, 73, 74, 75, 76, 77, 87, 88],
+    290: [70, 71, 72, 73, 74, 75, 76, 88],
+    300: [68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    310: [67, 68, 69, 70, 71, 72, 73, 74, 88],
+    320: [66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    330: [64, 65, 66, 67, 68, 69, 70, 71, 72, 88],
+    340: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 88],
+    350: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    360: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88],
+    370: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 88],
+    380: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 88],
+    390: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    400: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 88],
+    410: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 88],
+    420: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 88],
+    430: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 88],
+    440: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 88],
+    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 88],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 88, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [348, 349]
+  },
+  190: {
+    0: [83, 84, 86, 87],
+    10: [82, 83, 84, 86, 87],
+    20: [82, 83, 84, 86, 87],
+    30: [82, 83, 84, 87],
+    40: [82, 83, 84, 87],
+    50: [81, 82, 83, 87],
+    60: [81, 82, 83, 87],
+    70: [81, 82, 83, 87],
+    80: [80, 81, 82, 83, 87],
+    90: [80, 81, 82, 87],
+    100: [80, 81, 82, 87],
+    110: [79, 80, 81, 82, 87],
+    120: [79, 80, 81, 82, 87],
+    130: [78, 79, 80, 81, 87],
+    140: [78, 79, 80, 81, 87],
+    150: [78, 79, 80, 81, 87],
+    160: [77, 78, 79, 80, 87],
+    170: [77, 78, 79, 80, 87],
+    180: [76, 77, 78, 79, 80, 87],
+    190: [76, 77, 78, 79, 87],
+    200: [75, 76, 77, 78, 79, 87],
+    210: [74, 75, 76, 77, 78, 79, 87],
+    220: [74, 75, 76, 77, 78, 87],
+    230: [73, 74, 75, 76, 77, 87],
+    240: [72, 73, 74, 75, 76, 77, 87],
+    250: [71, 72, 73, 74, 75, 76, 87],
+    260: [71, 72, 73, 74, 75, 76, 87],
+    270: [69, 70, 71, 72, 73, 74, 75, 87],
+    280: [68, 69, 70, 71, 72, 73, 74, 87],
+    290: [67, 68, 69, 70, 71, 72, 73, 74, 87],
+    300: [66, 67, 68, 69, 70, 71, 72, 73, 87],
+    310: [65, 66, 67, 68, 69, 70, 71, 87],
+    320: [63, 64, 65, 66, 67, 68, 69, 70, 71, 87],
+    330: [62, 63, 64, 65, 66, 67, 68, 69, 87],
+    340: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 87],
+    350: [58, 59, 60, 61, 62, 63, 64, 65, 66, 87],
+    360: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 87],
+    370: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87],
+    380: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 87],
+    390: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 87],
+    400: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 87],
+    410: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 87],
+    420: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 87],
+    430: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 87],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 87],
+    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 87],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 87, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 87, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [348, 349, 350, 351, 352, 353, 354, 355, 356, 357]
+  },
+  200: {
+    0: [82, 83, 86],
+    10: [81, 82, 83, 86],
+    20: [81, 82, 83, 86],
+    30: [81, 82, 83, 86],
+    40: [81, 82, 86],
+    50: [80, 81, 82, 86],
+    60: [80, 81, 82, 86],
+    70: [80, 81, 82, 86],
+    80: [79, 80, 81, 86, 87],
+    90: [79, 80, 81, 86, 87],
+    100: [78, 79, 80, 81, 86, 87],
+    110: [78, 79, 80, 81, 86, 87],
+    120: [78, 79, 80, 86, 87],
+    130: [77, 78, 79, 80, 86, 87],
+    140: [77, 78, 79, 80, 86, 87],
+    150: [76, 77, 78, 79, 86, 87],
+    160: [76, 77, 78, 79, 86, 87],
+    170: [75, 76, 77, 78, 79, 86, 87],
+    180: [74, 75, 76, 77, 78, 86, 87],
+    190: [74, 75, 76, 77, 87],
+    200: [73, 74, 75, 76, 77, 87],
+    210: [72, 73, 74, 75, 76, 77, 87],
+    220: [72, 73, 74, 75, 76, 87],
+    230: [71, 72, 73, 74, 75, 76, 87],
+    240: [70, 71, 72, 73, 74, 75, 87],
+    250: [69, 70, 71, 72, 73, 74, 87],
+    260: [68, 69, 70, 71, 72, 73, 74, 87],
+    270: [67, 68, 69, 70, 71, 72, 73, 87],
+    280: [66, 67, 68, 69, 70, 71, 72, 87],
+    290: [64, 65, 66, 67, 68, 69, 70, 71, 87],
+    300: [64, 65, 66, 67, 68, 69, 87],
+    310: [62, 63, 64, 65, 66, 67, 68, 69, 87],
+    320: [60, 61, 62, 63, 64, 65, 66, 67, 87],
+    330: [58, 59, 60, 61, 62, 63, 64, 65, 66, 87],
+    340: [56, 57, 58, 59, 60, 61, 62, 63, 64, 87],
+    350: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 87],
+    360: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 87],
+    370: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
+    380: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 87],
+    390: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 87],
+    400: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 87],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 87],
+    420: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 87],
+    430: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 87],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 87],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 87],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 87, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 87, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [87, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [352]
+  },
+  210: {
+    0: [81, 82, 85, 86],
+    10: [81, 82, 85, 86],
+    20: [80, 81, 82, 86],
+    30: [80, 81, 82, 86],
+    40: [79, 80, 81, 86],
+    50: [79, 80, 81, 86],
+    60: [79, 80, 81, 86],
+    70: [78, 79, 80, 81, 86],
+    80: [78, 79, 80, 86],
+    90: [78, 79, 80, 86],
+    100: [77, 78, 79, 80, 86],
+    110: [77, 78, 79, 86],
+    120: [76, 77, 78, 79, 86],
+    130: [76, 77, 78, 79, 86],
+    140: [75, 76, 77, 78, 86],
+    150: [75, 76, 77, 78, 86],
+    160: [74, 75, 76, 77, 86],
+    170: [73, 74, 75, 76, 77, 86],
+    180: [73, 74, 75, 76, 86],
+    190: [72, 73, 74, 75, 76, 86],
+    200: [71, 72, 73, 74, 75, 76, 86],
+    210: [71, 72, 73, 74, 75, 86],
+    220: [70, 71, 72, 73, 74, 86],
+    230: [69, 70, 71, 72, 73, 74, 86],
+    240: [68, 69, 70, 71, 72, 73, 86],
+    250: [67, 68, 69, 70, 71, 72, 86],
+    260: [66, 67, 68, 69, 70, 71, 86],
+    270: [65, 66, 67, 68, 69, 70, 86],
+    280: [64, 65, 66, 67, 68, 69, 70, 86],
+    290: [62, 63, 64, 65, 66, 67, 68, 86],
+    300: [61, 62, 63, 64, 65, 66, 67, 86],
+    310: [59, 60, 61, 62, 63, 64, 65, 66, 86],
+    320: [58, 59, 60, 61, 62, 63, 64, 65, 86],
+    330: [55, 56, 57, 58, 59, 60, 61, 62, 63, 86],
+    340: [54, 55, 56, 57, 58, 59, 60, 61, 86],
+    350: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 86],
+    360: [49, 50, 51, 52, 53, 54, 55, 56, 57, 86],
+    370: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 86],
+    380: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 86],
+    390: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 86, 87],
+    400: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 86, 87],
+    410: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 86, 87],
+    420: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 86, 87],
+    430: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 86, 87],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 86, 87],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 87],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 87, 358, 359],
+    480: [0, 1, 2, 3, 4, 87, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [352, 353, 354, 355, 356, 357, 358]
+  },
+  220: {
+    0: [80, 81, 82, 85],
+    10: [80, 81, 85],
+    20: [79, 80, 81, 85],
+    30: [79, 80, 81, 85],
+    40: [78, 79, 80, 85],
+    50: [78, 79, 80, 85, 86],
+    60: [78, 79, 80, 85, 86],
+    70: [77, 78, 79, 85, 86],
+    80: [77, 78, 79, 85, 86],
+    90: [76, 77, 78, 79, 85, 86],
+    100: [76, 77, 78, 85, 86],
+    110: [75, 76, 77, 78, 85, 86],
+    120: [75, 76, 77, 78, 85, 86],
+    130: [74, 75, 76, 77, 86],
+    140: [74, 75, 76, 77, 86],
+    150: [73, 74, 75, 76, 86],
+    160: [73, 74, 75, 76, 86],
+    170: [72, 73, 74, 75, 86],
+    180: [72, 73, 74, 75, 86],
+    190: [71, 72, 73, 74, 86],
+    200: [70, 71, 72, 73, 74, 86],
+    210: [69, 70, 71, 72, 73, 86],
+    220: [68, 69, 70, 71, 72, 73, 86],
+    230: [67, 68, 69, 70, 71, 72, 86],
+    240: [67, 68, 69, 70, 71, 86],
+    250: [65, 66, 67, 68, 69, 70, 86],
+    260: [64, 65, 66, 67, 68, 69, 86],
+    270: [63, 64, 65, 66, 67, 68, 86],
+    280: [61, 62, 63, 64, 65, 66, 67, 86],
+    290: [61, 62, 63, 64, 65, 66, 86],
+    300: [58, 59, 60, 61, 62, 63, 64, 65, 86],
+    310: [57, 58, 59, 60, 61, 62, 63, 86],
+    320: [55, 56, 57, 58, 59, 60, 61, 62, 86],
+    330: [53, 54, 55, 56, 57, 58, 59, 60, 86],
+    340: [51, 52, 53, 54, 55, 56, 57, 58, 59, 86],
+    350: [49, 50, 51, 52, 53, 54, 55, 56, 86],
+    360: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 86],
+    370: [44, 45, 46, 47, 48, 49, 50, 51, 52, 86],
+    380: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 86],
+    390: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 86],
+    400: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 86],
+    410: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 86],
+    420: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 86],
+    430: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 86],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 86],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 86],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 86, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 86, 354, 355, 356, 357, 358, 359],
+    490: [0, 86, 354, 355, 356, 357, 358, 359],
+    500: [354]
+  },
+  230: {
+    0: [79, 80, 81, 84, 85],
+    10: [79, 80, 84, 85],
+    20: [78, 79, 80, 85],
+    30: [78, 79, 80, 85],
+    40: [77, 78, 79, 85],
+    50: [77, 78, 79, 85],
+    60: [77, 78, 79, 85],
+    70: [76, 77, 78, 85],
+    80: [76, 77, 78, 85],
+    90: [75, 76, 77, 78, 85],
+    100: [75, 76, 77, 85],
+    110: [74, 75, 76, 77, 85],
+    120: [74, 75, 76, 85],
+    130: [73, 74, 75, 76, 85],
+    140: [73, 74, 75, 76, 85],
+    150: [72, 73, 74, 75, 85],
+    160: [71, 72, 73, 74, 85],
+    170: [71, 72, 73, 74, 85],
+    180: [70, 71, 72, 73, 85],
+    190: [69, 70, 71, 72, 73, 85],
+    200: [68, 69, 70, 71, 72, 85],
+    210: [68, 69, 70, 71, 85],
+    220: [66, 67, 68, 69, 70, 71, 85],
+    230: [66, 67, 68, 69, 70, 85, 86],
+    240: [65, 66, 67, 68, 69, 85, 86],
+    250: [63, 64, 65, 66, 67, 68, 85, 86],
+    260: [63, 64, 65, 66, 67, 85, 86],
+    270: [61, 62, 63, 64, 65, 66, 85, 86],
+    280: [60, 61, 62, 63, 64, 65, 85, 86],
+    290: [58, 59, 60, 61, 62, 63, 64, 85, 86],
+    300: [56, 57, 58, 59, 60, 61, 62, 85, 86],
+    310: [55, 56, 57, 58, 59, 60, 61, 86],
+    320: [53, 54, 55, 56, 57, 58, 59, 60, 86],
+    330: [51, 52, 53, 54, 55, 56, 57, 58, 86],
+    340: [48, 49, 50, 51, 52, 53, 54, 55, 56, 86],
+    350: [46, 47, 48, 49, 50, 51, 52, 53, 54, 86],
+    360: [44, 45, 46, 47, 48, 49, 50, 51, 86],
+    370: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 86],
+    380: [38, 39, 40, 41, 42, 43, 44, 45, 46, 86],
+    390: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 86],
+    400: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 86],
+    410: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 86],
+    420: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 86],
+    430: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 86],
+    440: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 86],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 86],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 86, 359],
+    480: [0, 1, 2, 3, 4, 86, 354, 355, 356, 357, 358, 359],
+    490: [86, 354, 355, 356, 357, 358, 359]
+  },
+  240: {
+    0: [78, 79, 80, 84],
+    10: [78, 79, 84],
+    20: [77, 78, 79, 84],
+    30: [77, 78, 79, 84],
+    40: [77, 78, 84, 85],
+    50: [76, 77, 78, 84, 85],
+    60: [76, 77, 78, 84, 85],
+    70: [75, 76, 77, 84, 85],
+    80: [75, 76, 77, 84, 85],
+    90: [74, 75, 76, 84, 85],
+    100: [74, 75, 76, 84, 85],
+    110: [73, 74, 75, 76, 85],
+    120: [72, 73, 74, 75, 85],
+    130: [72, 73, 74, 75, 85],
+    140: [71, 72, 73, 74, 85],
+    150: [71, 72, 73, 85],
+    160: [70, 71, 72, 73, 85],
+    170: [69, 70, 71, 72, 73, 85],
+    180: [68, 69, 70, 71, 72, 85],
+    190: [68, 69, 70, 71, 85],
+    200: [67, 68, 69, 70, 85],
+    210: [66, 67, 68, 69, 70, 85],
+    220: [65, 66, 67, 68, 69, 85],
+    230: [64, 65, 66, 67, 68, 85],
+    240: [63, 64, 65, 66, 67, 85],
+    250: [62, 63, 64, 65, 66, 85],
+    260: [60, 61, 62, 63, 64, 65, 85],
+    270: [59, 60, 61, 62, 63, 64, 85],
+    280: [58, 59, 60, 61, 62, 63, 85],
+    290: [56, 57, 58, 59, 60, 61, 62, 85],
+    300: [55, 56, 57, 58, 59, 60, 85],
+    310: [52, 53, 54, 55, 56, 57, 58, 59, 85],
+    320: [51, 52, 53, 54, 55, 56, 57, 85],
+    330: [48, 49, 50, 51, 52, 53, 54, 55, 56, 85],
+    340: [47, 48, 49, 50, 51, 52, 53, 54, 85],
+    350: [44, 45, 46, 47, 48, 49, 50, 51, 52, 85],
+    360: [41, 42, 43, 44, 45, 46, 47, 48, 49, 85],
+    370: [39, 40, 41, 42, 43, 44, 45, 46, 85],
+    380: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 85],
+    390: [33, 34, 35, 36, 37, 38, 39, 40, 41, 85],
+    400: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 85],
+    410: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 85],
+    420: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 85],
+    430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 85],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 85],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 85],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 85, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 85, 355, 356, 357, 358, 359],
+    490: [0, 85, 355, 356, 357, 358, 359],
+    500: [355]
+  },
+  250: {
+    0: [77, 78, 79, 83, 84],
+    10: [77, 78, 79, 83, 84],
+    20: [76, 77, 78, 84],
+    30: [76, 77, 78, 84],
+    40: [76, 77, 84],
+    50: [75, 76, 77, 84],
+    60: [75, 76, 77, 84],
+    70: [74, 75, 76, 84],
+    80: [74, 75, 76, 84],
+    90: [73, 74, 75, 84],
+    100: [72, 73, 74, 75, 84],
+    110: [72, 73, 74, 84],
+    120: [71, 72, 73, 74, 84],
+    130: [71, 72, 73, 84],
+    140: [70, 71, 72, 73, 84],
+    150: [69, 70, 71, 72, 84],
+    160: [69, 70, 71, 72, 84],
+    170: [68, 69, 70, 71, 84, 85],
+    180: [67, 68, 69, 70, 84, 85],
+    190: [66, 67, 68, 69, 70, 84, 85],
+    200: [65, 66, 67, 68, 69, 84, 85],
+    210: [64, 65, 66, 67, 68, 84, 85],
+    220: [64, 65, 66, 67, 84, 85],
+    230: [62, 63, 64, 65, 66, 85],
+    240: [61, 62, 63, 64, 65, 85],
+    250: [60, 61, 62, 63, 64, 85],
+    260: [58, 59, 60, 61, 62, 63, 85],
+    270: [58, 59, 60, 61, 62, 85],
+    280: [56, 57, 58, 59, 60, 61, 85],
+    290: [54, 55, 56, 57, 58, 59, 85],
+    300: [52, 53, 54, 55, 56, 57, 58, 85],
+    310: [51, 52, 53, 54, 55, 56, 85],
+    320: [49, 50, 51, 52, 53, 54, 55, 85],
+    330: [47, 48, 49, 50, 51, 52, 53, 85],
+    340: [44, 45, 46, 47, 48, 49, 50, 51, 52, 85],
+    350: [43, 44, 45, 46, 47, 48, 49, 85],
+    360: [39, 40, 41, 42, 43, 44, 45, 46, 47, 85],
+    370: [37, 38, 39, 40, 41, 42, 43, 44, 45, 85],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 85],
+    390: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 85],
+    400: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 85],
+    410: [24, 25, 26, 27, 28, 29, 30, 31, 32, 85],
+    420: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 85],
+    430: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 85],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 85],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 85],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 85, 359],
+    480: [0, 1, 2, 3, 4, 85, 356, 357, 358, 359],
+    490: [0, 85, 355, 356, 357, 358, 359]
+  },
+  260: {
+    0: [76, 77, 78, 83],
+    10: [76, 77, 78, 83],
+    20: [76, 77, 83],
+    30: [75, 76, 77, 83, 84],
+    40: [75, 76, 83, 84],
+    50: [74, 75, 76, 83, 84],
+    60: [74, 75, 76, 83, 84],
+    70: [73, 74, 75, 83, 84],
+    80: [72, 73, 74, 75, 83, 84],
+    90: [72, 73, 74, 84],
+    100: [71, 72, 73, 74, 84],
+    110: [71, 72, 73, 84],
+    120: [70, 71, 72, 73, 84],
+    130: [69, 70, 71, 72, 84],
+    140: [69, 70, 71, 72, 84],
+    150: [68, 69, 70, 71, 84],
+    160: [67, 68, 69, 70, 84],
+    170: [66, 67, 68, 69, 84],
+    180: [66, 67, 68, 69, 84],
+    190: [65, 66, 67, 68, 84],
+    200: [64, 65, 66, 67, 84],
+    210: [63, 64, 65, 66, 67, 84],
+    220: [62, 63, 64, 65, 66, 84],
+    230: [61, 62, 63, 64, 65, 84],
+    240: [60, 61, 62, 63, 64, 84],
+    250: [58, 59, 60, 61, 62, 63, 84],
+    260: [57, 58, 59, 60, 61, 84],
+    270: [55, 56, 57, 58, 59, 60, 84],
+    280: [54, 55, 56, 57, 58, 59, 84],
+    290: [52, 53, 54, 55, 56, 57, 58, 84],
+    300: [51, 52, 53, 54, 55, 56, 84],
+    310: [49, 50, 51, 52, 53, 54, 55, 84],
+    320: [47, 48, 49, 50, 51, 52, 53, 84],
+    330: [45, 46, 47, 48, 49, 50, 51, 84],
+    340: [43, 44, 45, 46, 47, 48, 49, 84],
+    350: [40, 41, 42, 43, 44, 45, 46, 47, 84],
+    360: [38, 39, 40, 41, 42, 43, 44, 45, 84],
+    370: [35, 36, 37, 38, 39, 40, 41, 42, 84, 85],
+    380: [32, 33, 34, 35, 36, 37, 38, 39, 40, 84, 85],
+    390: [30, 31, 32, 33, 34, 35, 36, 37, 84, 85],
+    400: [26, 27, 28, 29, 30, 31, 32, 33, 34, 85],
+    410: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 84, 85],
+    420: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 85],
+    430: [16, 17, 18, 19, 20, 21, 22, 23, 24, 85],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 85],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 85],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 85, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 85, 357, 358, 359],
+    490: [0, 85, 357, 358, 359]
+  },
+  270: {
+    0: [76, 77, 82, 83],
+    10: [75, 76, 77, 82, 83],
+    20: [75, 76, 83],
+    30: [74, 75, 76, 83],
+    40: [74, 75, 76, 83],
+    50: [73, 74, 75, 83],
+    60: [73, 74, 75, 83],
+    70: [72, 73, 74, 83],
+    80: [71, 72, 73, 74, 83],
+    90: [71, 72, 73, 83],
+    100: [70, 71, 72, 73, 83],
+    110: [70, 71, 72, 83],
+    120: [69, 70, 71, 72, 83],
+    130: [68, 69, 70, 71, 83],
+    140: [67, 68, 69, 70, 83, 84],
+    150: [67, 68, 69, 70, 83, 84],
+    160: [66, 67, 68, 69, 83, 84],
+    170: [65, 66, 67, 68, 83, 84],
+    180: [64, 65, 66, 67, 68, 83, 84],
+    190: [63, 64, 65, 66, 67, 84],
+    200: [63, 64, 65, 66, 84],
+    210: [61, 62, 63, 64, 65, 84],
+    220: [60, 61, 62, 63, 64, 84],
+    230: [59, 60, 61, 62, 63, 84],
+    240: [58, 59, 60, 61, 62, 84],
+    250: [57, 58, 59, 60, 61, 84],
+    260: [55, 56, 57, 58, 59, 60, 84],
+    270: [54, 55, 56, 57, 58, 59, 84],
+    280: [53, 54, 55, 56, 57, 84],
+    290: [51, 52, 53, 54, 55, 56, 84],
+    300: [49, 50, 51, 52, 53, 54, 84],
+    310: [47, 48, 49, 50, 51, 52, 53, 84],
+    320: [45, 46, 47, 48, 49, 50, 51, 84],
+    330: [43, 44, 45, 46, 47, 48, 49, 84],
+    340: [41, 42, 43, 44, 45, 46, 47, 84],
+    350: [39, 40, 41, 42, 43, 44, 45, 84],
+    360: [36, 37, 38, 39, 40, 41, 42, 43, 84],
+    370: [34, 35, 36, 37, 38, 39, 40, 41, 84],
+    380: [31, 32, 33, 34, 35, 36, 37, 38, 84],
+    390: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 84],
+    400: [25, 26, 27, 28, 29, 30, 31, 32, 33, 84],
+    410: [22, 23, 24, 25, 26, 27, 28, 29, 84],
+    420: [18, 19, 20, 21, 22, 23, 24, 25, 26, 84],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 84],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 84],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 84],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 84],
+    480: [0, 1, 2, 3, 4, 84, 358, 359],
+    490: [0, 1, 84, 357, 358, 359]
+  },
+  280: {
+    0: [75, 76, 82],
+    10: [74, 75, 76, 82],
+    20: [74, 75, 76, 82],
+    30: [73, 74, 75, 82, 83],
+    40: [73, 74, 75, 82, 83],
+    50: [72, 73, 74, 82, 83],
+    60: [72, 73, 74, 82, 83],
+    70: [71, 72, 73, 82, 83],
+    80: [71, 72, 73, 83],
+    90: [70, 71, 72, 83],
+    100: [69, 70, 71, 72, 83],
+    110: [69, 70, 71, 83],
+    120: [68, 69, 70, 83],
+    130: [67, 68, 69, 70, 83],
+    140: [66, 67, 68, 69, 83],
+    150: [66, 67, 68, 83],
+    160: [65, 66, 67, 68, 83],
+    170: [64, 65, 66, 67, 83],
+    180: [63, 64, 65, 66, 83],
+    190: [62, 63, 64, 65, 83],
+    200: [61, 62, 63, 64, 65, 83],
+    210: [60, 61, 62, 63, 64, 83],
+    220: [59, 60, 61, 62, 63, 83],
+    230: [58, 59, 60, 61, 62, 83],
+    240: [56, 57, 58, 59, 60, 83],
+    250: [55, 56, 57, 58, 59, 60, 83],
+    260: [54, 55, 56, 57, 58, 83],
+    270: [53, 54, 55, 56, 57, 83],
+    280: [51, 52, 53, 54, 55, 56, 83, 84],
+    290: [50, 51, 52, 53, 54, 83, 84],
+    300: [47, 48, 49, 50, 51, 52, 53, 83, 84],
+    310: [46, 47, 48, 49, 50, 51, 83, 84],
+    320: [44, 45, 46, 47, 48, 49, 84],
+    330: [42, 43, 44, 45, 46, 47, 48, 84],
+    340: [39, 40, 41, 42, 43, 44, 45, 84],
+    350: [37, 38, 39, 40, 41, 42, 43, 44, 84],
+    360: [35, 36, 37, 38, 39, 40, 41, 84],
+    370: [32, 33, 34, 35, 36, 37, 38, 39, 84],
+    380: [29, 30, 31, 32, 33, 34, 35, 36, 37, 84],
+    390: [27, 28, 29, 30, 31, 32, 33, 84],
+    400: [23, 24, 25, 26, 27, 28, 29, 30, 31, 84],
+    410: [20, 21, 22, 23, 24, 25, 26, 27, 28, 84],
+    420: [17, 18, 19, 20, 21, 22, 23, 24, 25, 84],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 84],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 84],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 84],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 84, 359],
+    480: [0, 1, 2, 3, 4, 84, 358, 359],
+    490: [0, 1, 84, 358, 359]
+  },
+  290: {
+    0: [74, 75, 76, 81, 82],
+    10: [74, 75, 81, 82],
+    20: [73, 74, 75, 82],
+    30: [72, 73, 74, 82],
+    40: [72, 73, 74, 82],
+    50: [71, 72, 73, 82],
+    60: [71, 72, 73, 82],
+    70: [70, 71, 72, 82],
+    80: [69, 70, 71, 72, 82],
+    90: [69, 70, 71, 82],
+    100: [68, 69, 70, 82],
+    110: [67, 68, 69, 70, 82, 83],
+    120: [67, 68, 69, 82, 83],
+    130: [66, 67, 68, 69, 82, 83],
+    140: [65, 66, 67, 68, 82, 83],
+    150: [64, 65, 66, 67, 82, 83],
+    160: [63, 64, 65, 66, 83],
+    170: [63, 64, 65, 66, 83],
+    180: [62, 63, 64, 65, 83],
+    190: [61, 62, 63, 64, 83],
+    200: [60, 61, 62, 63, 83],
+    210: [59, 60, 61, 62, 83],
+    220: [57, 58, 59, 60, 61, 83],
+    230: [56, 57, 58, 59, 60, 83],
+    240: [55, 56, 57, 58, 59, 83],
+    250: [54, 55, 56, 57, 58, 83],
+    260: [53, 54, 55, 56, 57, 83],
+    270: [51, 52, 53, 54, 55, 83],
+    280: [50, 51, 52, 53, 54, 83],
+    290: [48, 49, 50, 51, 52, 53, 83],
+    300: [46, 47, 48, 49, 50, 51, 83],
+    310: [44, 45, 46, 47, 48, 49, 50, 83],
+    320: [43, 44, 45, 46, 47, 48, 83],
+    330: [40, 41, 42, 43, 44, 45, 46, 83],
+    340: [38, 39, 40, 41, 42, 43, 44, 83],
+    350: [36, 37, 38, 39, 40, 41, 83],
+    360: [33, 34, 35, 36, 37, 38, 39, 40, 83],
+    370: [31, 32, 33, 34, 35, 36, 37, 83],
+    380: [28, 29, 30, 31, 32, 33, 34, 35, 83],
+    390: [25, 26, 27, 28, 29, 30, 31, 32, 33, 83],
+    400: [23, 24, 25, 26, 27, 28, 29, 30, 83],
+    410: [20, 21, 22, 23, 24, 25, 26, 27, 83],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 24, 83],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 21, 83],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 83],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 83],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 83],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 83, 84],
+    480: [0, 1, 2, 3, 4, 5, 83, 84, 358, 359],
+    490: [0, 1, 83, 358, 359],
+    500: [358]
+  },
+  300: {
+    0: [73, 74, 75, 81],
+    10: [73, 74, 81],
+    20: [72, 73, 74, 81],
+    30: [72, 73, 81, 82],
+    40: [71, 72, 73, 81, 82],
+    50: [70, 71, 72, 81, 82],
+    60: [70, 71, 72, 81, 82],
+    70: [69, 70, 71, 82],
+    80: [69, 70, 71, 82],
+    90: [68, 69, 70, 82],
+    100: [67, 68, 69, 82],
+    110: [66, 67, 68, 69, 82],
+    120: [66, 67, 68, 82],
+    130: [65, 66, 67, 68, 82],
+    140: [64, 65, 66, 67, 82],
+    150: [63, 64, 65, 66, 82],
+    160: [62, 63, 64, 65, 82],
+    170: [62, 63, 64, 65, 82],
+    180: [61, 62, 63, 64, 82],
+    190: [59, 60, 61, 62, 63, 82],
+    200: [59, 60, 61, 62, 82],
+    210: [57, 58, 59, 60, 61, 82],
+    220: [56, 57, 58, 59, 60, 82, 83],
+    230: [55, 56, 57, 58, 59, 82, 83],
+    240: [54, 55, 56, 57, 58, 82, 83],
+    250: [53, 54, 55, 56, 82, 83],
+    260: [51, 52, 53, 54, 55, 82, 83],
+    270: [50, 51, 52, 53, 54, 83],
+    280: [48, 49, 50, 51, 52, 53, 83],
+    290: [46, 47, 48, 49, 50, 51, 83],
+    300: [45, 46, 47, 48, 49, 50, 83],
+    310: [43, 44, 45, 46, 47, 48, 83],
+    320: [41, 42, 43, 44, 45, 46, 83],
+    330: [39, 40, 41, 42, 43, 44, 83],
+    340: [37, 38, 39, 40, 41, 42, 83],
+    350: [35, 36, 37, 38, 39, 40, 41, 83],
+    360: [33, 34, 35, 36, 37, 38, 83],
+    370: [30, 31, 32, 33, 34, 35, 36, 83],
+    380: [27, 28, 29, 30, 31, 32, 33, 34, 83],
+    390: [25, 26, 27, 28, 29, 30, 31, 83],
+    400: [22, 23, 24, 25, 26, 27, 28, 83],
+    410: [19, 20, 21, 22, 23, 24, 25, 26, 83],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 83],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 83],
+    440: [11, 12, 13, 14, 15, 16, 17, 83],
+    450: [7, 8, 9, 10, 11, 12, 13, 83],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 83],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 83],
+    480: [0, 1, 2, 3, 4, 83, 358, 359],
+    490: [0, 1, 83, 358, 359],
+    500: [83, 358]
+  },
+  310: {
+    0: [73, 74, 80, 81],
+    10: [72, 73, 74, 80, 81],
+    20: [71, 72, 73, 81],
+    30: [71, 72, 73, 81],
+    40: [70, 71, 72, 81],
+    50: [70, 71, 81],
+    60: [69, 70, 71, 81],
+    70: [68, 69, 70, 81],
+    80: [68, 69, 70, 81],
+    90: [67, 68, 69, 81, 82],
+    100: [66, 67, 68, 81, 82],
+    110: [65, 66, 67, 68, 81, 82],
+    120: [65, 66, 67, 81, 82],
+    130: [64, 65, 66, 81, 82],
+    140: [63, 64, 65, 66, 82],
+    150: [62, 63, 64, 65, 82],
+    160: [61, 62, 63, 64, 82],
+    170: [60, 61, 62, 63, 82],
+    180: [59, 60, 61, 62, 82],
+    190: [59, 60, 61, 62, 82],
+    200: [57, 58, 59, 60, 61, 82],
+    210: [56, 57, 58, 59, 82],
+    220: [55, 56, 57, 58, 59, 82],
+    230: [54, 55, 56, 57, 82],
+    240: [53, 54, 55, 56, 82],
+    250: [51, 52, 53, 54, 55, 82],
+    260: [50, 51, 52, 53, 54, 82],
+    270: [48, 49, 50, 51, 52, 53, 82],
+    280: [47, 48, 49, 50, 51, 82],
+    290: [45, 46, 47, 48, 49, 50, 82],
+    300: [43, 44, 45, 46, 47, 48, 82],
+    310: [42, 43, 44, 45, 46, 47, 82],
+    320: [40, 41, 42, 43, 44, 45, 82],
+    330: [38, 39, 40, 41, 42, 43, 82],
+    340: [36, 37, 38, 39, 40, 41, 82],
+    350: [33, 34, 35, 36, 37, 38, 39, 82],
+    360: [31, 32, 33, 34, 35, 36, 37, 82, 83],
+    370: [29, 30, 31, 32, 33, 34, 35, 82, 83],
+    380: [26, 27, 28, 29, 30, 31, 32, 82, 83],
+    390: [24, 25, 26, 27, 28, 29, 30, 82, 83],
+    400: [21, 22, 23, 24, 25, 26, 27, 28, 82, 83],
+    410: [19, 20, 21, 22, 23, 24, 25, 83],
+    420: [16, 17, 18, 19, 20, 21, 22, 83],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 83],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 83],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 83],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 83],
+    470: [1, 2, 3, 4, 5, 6, 7, 8, 83],
+    480: [0, 1, 2, 3, 4, 5, 83, 359],
+    490: [0, 1, 2, 83, 359],
+    500: [359]
+  },
+  320: {
+    0: [72, 73, 80],
+    10: [71, 72, 73, 80],
+    20: [71, 72, 80],
+    30: [70, 71, 72, 80, 81],
+    40: [69, 70, 71, 80, 81],
+    50: [69, 70, 71, 80, 81],
+    60: [68, 69, 70, 80, 81],
+    70: [67, 68, 69, 81],
+    80: [67, 68, 69, 81],
+    90: [66, 67, 68, 81],
+    100: [65, 66, 67, 81],
+    110: [64, 65, 66, 67, 81],
+    120: [64, 65, 66, 81],
+    130: [63, 64, 65, 81],
+    140: [62, 63, 64, 65, 81],
+    150: [61, 62, 63, 64, 81],
+    160: [60, 61, 62, 63, 81],
+    170: [59, 60, 61, 62, 81],
+    180: [58, 59, 60, 61, 81, 82],
+    190: [57, 58, 59, 60, 81, 82],
+    200: [56, 57, 58, 59, 81, 82],
+    210: [55, 56, 57, 58, 81, 82],
+    220: [54, 55, 56, 57, 81, 82],
+    230: [53, 54, 55, 56, 82],
+    240: [51, 52, 53, 54, 55, 82],
+    250: [50, 51, 52, 53, 54, 82],
+    260: [49, 50, 51, 52, 53, 82],
+    270: [47, 48, 49, 50, 51, 82],
+    280: [46, 47, 48, 49, 50, 82],
+    290: [44, 45, 46, 47, 48, 82],
+    300: [42, 43, 44, 45, 46, 47, 82],
+    310: [40, 41, 42, 43, 44, 45, 82],
+    320: [38, 39, 40, 41, 42, 43, 44, 82],
+    330: [37, 38, 39, 40, 41, 42, 82],
+    340: [34, 35, 36, 37, 38, 39, 40, 82],
+    350: [32, 33, 34, 35, 36, 37, 38, 82],
+    360: [30, 31, 32, 33, 34, 35, 82],
+    370: [28, 29, 30, 31, 32, 33, 34, 82],
+    380: [25, 26, 27, 28, 29, 30, 31, 82],
+    390: [24, 25, 26, 27, 28, 29, 82],
+    400: [20, 21, 22, 23, 24, 25, 26, 82],
+    410: [18, 19, 20, 21, 22, 23, 24, 82],
+    420: [15, 16, 17, 18, 19, 20, 21, 22, 82],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 82],
+    440: [10, 11, 12, 13, 14, 15, 16, 82],
+    450: [7, 8, 9, 10, 11, 12, 13, 82],
+    460: [4, 5, 6, 7, 8, 9, 10, 82],
+    470: [1, 2, 3, 4, 5, 6, 7, 82],
+    480: [0, 1, 2, 3, 4, 82, 359],
+    490: [0, 1, 359]
+  },
+  330: {
+    0: [71, 72, 73, 79, 80],
+    10: [71, 72, 79, 80],
+    20: [70, 71, 72, 79, 80],
+    30: [69, 70, 71, 80],
+    40: [69, 70, 80],
+    50: [68, 69, 70, 80],
+    60: [67, 68, 69, 80],
+    70: [67, 68, 69, 80],
+    80: [66, 67, 68, 80],
+    90: [65, 66, 67, 80, 81],
+    100: [64, 65, 66, 67, 80, 81],
+    110: [64, 65, 66, 80, 81],
+    120: [63, 64, 65, 80, 81],
+    130: [62, 63, 64, 81],
+    140: [61, 62, 63, 64, 81],
+    150: [60, 61, 62, 63, 81],
+    160: [59, 60, 61, 62, 81],
+    170: [58, 59, 60, 61, 81],
+    180: [57, 58, 59, 60, 81],
+    190: [56, 57, 58, 59, 81],
+    200: [55, 56, 57, 58, 81],
+    210: [54, 55, 56, 57, 81],
+    220: [53, 54, 55, 56, 81],
+    230: [51, 52, 53, 54, 55, 81],
+    240: [50, 51, 52, 53, 54, 81],
+    250: [49, 50, 51, 52, 53, 81],
+    260: [47, 48, 49, 50, 51, 81],
+    270: [46, 47, 48, 49, 50, 81],
+    280: [44, 45, 46, 47, 48, 81],
+    290: [43, 44, 45, 46, 47, 81],
+    300: [41, 42, 43, 44, 45, 81, 82],
+    310: [39, 40, 41, 42, 43, 44, 81, 82],
+    320: [38, 39, 40, 41, 42, 81, 82],
+    330: [35, 36, 37, 38, 39, 40, 81, 82],
+    340: [34, 35, 36, 37, 38, 39, 82],
+    350: [31, 32, 33, 34, 35, 36, 82],
+    360: [29, 30, 31, 32, 33, 34, 35, 82],
+    370: [27, 28, 29, 30, 31, 32, 33, 82],
+    380: [25, 26, 27, 28, 29, 30, 82],
+    390: [22, 23, 24, 25, 26, 27, 28, 82],
+    400: [20, 21, 22, 23, 24, 25, 26, 82],
+    410: [18, 19, 20, 21, 22, 23, 82],
+    420: [15, 16, 17, 18, 19, 20, 82],
+    430: [12, 13, 14, 15, 16, 17, 18, 82],
+    440: [9, 10, 11, 12, 13, 14, 15, 82],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 82],
+    460: [4, 5, 6, 7, 8, 9, 10, 82],
+    470: [1, 2, 3, 4, 5, 6, 7, 8, 82],
+    480: [0, 1, 2, 3, 4, 5, 82],
+    490: [0, 1, 2, 82]
+  },
+  340: {
+    0: [71, 72, 79],
+    10: [70, 71, 79],
+    20: [69, 70, 71, 79],
+    30: [69, 70, 79, 80],
+    40: [68, 69, 70, 79, 80],
+    50: [67, 68, 69, 79, 80],
+    60: [66, 67, 68, 79, 80],
+    70: [66, 67, 68, 80],
+    80: [65, 66, 67, 80],
+    90: [64, 65, 66, 80],
+    100: [63, 64, 65, 66, 80],
+    110: [63, 64, 65, 80],
+    120: [62, 63, 64, 80],
+    130: [61, 62, 63, 80],
+    140: [60, 61, 62, 63, 80],
+    150: [59, 60, 61, 62, 80],
+    160: [58, 59, 60, 61, 80, 81],
+    170: [57, 58, 59, 60, 80, 81],
+    180: [56, 57, 58, 59, 80, 81],
+    190: [55, 56, 57, 58, 80, 81],
+    200: [54, 55, 56, 57, 81],
+    210: [53, 54, 55, 56, 81],
+    220: [52, 53, 54, 55, 81],
+    230: [50, 51, 52, 53, 54, 81],
+    240: [49, 50, 51, 52, 53, 81],
+    250: [48, 49, 50, 51, 81],
+    260: [47, 48, 49, 50, 81],
+    270: [45, 46, 47, 48, 49, 81],
+    280: [44, 45, 46, 47, 81],
+    290: [42, 43, 44, 45, 46, 81],
+    300: [40, 41, 42, 43, 44, 81],
+    310: [38, 39, 40, 41, 42, 81],
+    320: [36, 37, 38, 39, 40, 41, 81],
+    330: [35, 36, 37, 38, 39, 81],
+    340: [33, 34, 35, 36, 37, 81],
+    350: [31, 32, 33, 34, 35, 36, 81],
+    360: [29, 30, 31, 32, 33, 81],
+    370: [26, 27, 28, 29, 30, 31, 81],
+    380: [24, 25, 26, 27, 28, 29, 30, 81],
+    390: [22, 23, 24, 25, 26, 27, 81],
+    400: [20, 21, 22, 23, 24, 81],
+    410: [17, 18, 19, 20, 21, 22, 81],
+    420: [14, 15, 16, 17, 18, 19, 20, 81],
+    430: [12, 13, 14, 15, 16, 17, 18, 81],
+    440: [10, 11, 12, 13, 14, 15, 81],
+    450: [7, 8, 9, 10, 11, 12, 13, 81, 82],
+    460: [5, 6, 7, 8, 9, 10, 81, 82],
+    470: [2, 3, 4, 5, 6, 7, 81, 82],
+    480: [0, 1, 2, 3, 4, 81, 82],
+    490: [0, 1, 2]
+  },
+  350: {
+    0: [70, 71, 78, 79],
+    10: [69, 70, 71, 78, 79],
+    20: [68, 69, 70, 78, 79],
+    30: [68, 69, 70, 79],
+    40: [67, 68, 69, 79],
+    50: [66, 67, 68, 79],
+    60: [66, 67, 68, 79],
+    70: [65, 66, 67, 79],
+    80: [64, 65, 66, 79, 80],
+    90: [63, 64, 65, 66, 79, 80],
+    100: [63, 64, 65, 79, 80],
+    110: [62, 63, 64, 79, 80],
+    120: [61, 62, 63, 80],
+    130: [60, 61, 62, 80],
+    140: [59, 60, 61, 62, 80],
+    150: [58, 59, 60, 61, 80],
+    160: [57, 58, 59, 60, 80],
+    170: [56, 57, 58, 59, 80],
+    180: [55, 56, 57, 58, 80],
+    190: [54, 55, 56, 57, 80],
+    200: [53, 54, 55, 56, 80],
+    210: [52, 53, 54, 55, 80],
+    220: [51, 52, 53, 54, 80],
+    230: [49, 50, 51, 52, 53, 80],
+    240: [48, 49, 50, 51, 80],
+    250: [47, 48, 49, 50, 80, 81],
+    260: [45, 46, 47, 48, 49, 80, 81],
+    270: [44, 45, 46, 47, 48, 80, 81],
+    280: [42, 43, 44, 45, 46, 80, 81],
+    290: [41, 42, 43, 44, 45, 80, 81],
+    300: [39, 40, 41, 42, 43, 81],
+    310: [37, 38, 39, 40, 41, 42, 81],
+    320: [36, 37, 38, 39, 40, 81],
+    330: [34, 35, 36, 37, 38, 81],
+    340: [32, 33, 34, 35, 36, 37, 81],
+    350: [30, 31, 32, 33, 34, 81],
+    360: [28, 29, 30, 31, 32, 33, 81],
+    370: [26, 27, 28, 29, 30, 31, 81],
+    380: [24, 25, 26, 27, 28, 81],
+    390: [21, 22, 23, 24, 25, 26, 81],
+    400: [19, 20, 21, 22, 23, 24, 81],
+    410: [17, 18, 19, 20, 21, 22, 81],
+    420: [15, 16, 17, 18, 19, 20, 81],
+    430: [12, 13, 14, 15, 16, 17, 81],
+    440: [9, 10, 11, 12, 13, 14, 15, 81],
+    450: [7, 8, 9, 10, 11, 12, 81],
+    460: [4, 5, 6, 7, 8, 9, 10, 81],
+    470: [2, 3, 4, 5, 6, 7, 8, 81],
+    480: [1, 2, 3, 4, 5, 81],
+    490: [1, 2, 3, 81]
+  },
+  360: {
+    0: [69, 70, 71, 77, 78],
+    10: [69, 70, 78],
+    20: [68, 69, 78],
+    30: [67, 68, 69, 78, 79],
+    40: [66, 67, 68, 78, 79],
+    50: [66, 67, 78, 79],
+    60: [65, 66, 67, 78, 79],
+    70: [64, 65, 66, 79],
+    80: [63, 64, 65, 79],
+    90: [63, 64, 65, 79],
+    100: [62, 63, 64, 79],
+    110: [61, 62, 63, 79],
+    120: [60, 61, 62, 79],
+    130: [59, 60, 61, 62, 79],
+    140: [58, 59, 60, 61, 79, 80],
+    150: [57, 58, 59, 60, 79, 80],
+    160: [56, 57, 58, 59, 79, 80],
+    170: [55, 56, 57, 58, 79, 80],
+    180: [54, 55, 56, 57, 79, 80],
+    190: [53, 54, 55, 56, 80],
+    200: [52, 53, 54, 55, 80],
+    210: [51, 52, 53, 54, 80],
+    220: [50, 51, 52, 53, 80],
+    230: [48, 49, 50, 51, 52, 80],
+    240: [47, 48, 49, 50, 51, 80],
+    250: [46, 47, 48, 49, 80],
+    260: [45, 46, 47, 48, 80],
+    270: [43, 44, 45, 46, 47, 80],
+    280: [42, 43, 44, 45, 80],
+    290: [40, 41, 42, 43, 44, 80],
+    300: [38, 39, 40, 41, 42, 80],
+    310: [37, 38, 39, 40, 80],
+    320: [35, 36, 37, 38, 39, 80],
+    330: [33, 34, 35, 36, 37, 80],
+    340: [31, 32, 33, 34, 35, 80],
+    350: [29, 30, 31, 32, 33, 34, 80],
+    360: [28, 29, 30, 31, 32, 80],
+    370: [25, 26, 27, 28, 29, 30, 80],
+    380: [23, 24, 25, 26, 27, 28, 80, 81],
+    390: [21, 22, 23, 24, 25, 26, 80, 81],
+    400: [19, 20, 21, 22, 23, 80, 81],
+    410: [16, 17, 18, 19, 20, 21, 80, 81],
+    420: [14, 15, 16, 17, 18, 19, 81],
+    430: [12, 13, 14, 15, 16, 17, 81],
+    440: [9, 10, 11, 12, 13, 14, 15, 81],
+    450: [7, 8, 9, 10, 11, 12, 81],
+    460: [5, 6, 7, 8, 9, 10, 81],
+    470: [3, 4, 5, 6, 7, 81],
+    480: [1, 2, 3, 4, 5, 81],
+    490: [1, 2, 3, 81]
+  },
+  370: {
+    0: [69, 70, 77, 78],
+    10: [68, 69, 77, 78],
+    20: [67, 68, 69, 77, 78],
+    30: [66, 67, 68, 77, 78],
+    40: [66, 67, 78],
+    50: [65, 66, 67, 78],
+    60: [64, 65, 66, 78],
+    70: [63, 64, 65, 78],
+    80: [63, 64, 65, 78, 79],
+    90: [62, 63, 64, 78, 79],
+    100: [61, 62, 63, 78, 79],
+    110: [60, 61, 62, 78, 79],
+    120: [59, 60, 61, 62, 79],
+    130: [58, 59, 60, 61, 79],
+    140: [57, 58, 59, 60, 79],
+    150: [56, 57, 58, 59, 79],
+    160: [55, 56, 57, 58, 79],
+    170: [55, 56, 57, 79],
+    180: [53, 54, 55, 56, 79],
+    190: [52, 53, 54, 55, 79],
+    200: [51, 52, 53, 54, 79],
+    210: [50, 51, 52, 53, 79],
+    220: [49, 50, 51, 52, 79],
+    230: [48, 49, 50, 51, 79, 80],
+    240: [46, 47, 48, 49, 79, 80],
+    250: [45, 46, 47, 48, 79, 80],
+    260: [43, 44, 45, 46, 47, 80],
+    270: [42, 43, 44, 45, 46, 80],
+    280: [40, 41, 42, 43, 44, 80],
+    290: [39, 40, 41, 42, 43, 80],
+    300: [37, 38, 39, 40, 41, 80],
+    310: [36, 37, 38, 39, 40, 80],
+    320: [34, 35, 36, 37, 38, 80],
+    330: [32, 33, 34, 35, 36, 80],
+    340: [31, 32, 33, 34, 35, 80],
+    350: [29, 30, 31, 32, 33, 80],
+    360: [26, 27, 28, 29, 30, 31, 80],
+    370: [25, 26, 27, 28, 29, 80],
+    380: [23, 24, 25, 26, 27, 80],
+    390: [20, 21, 22, 23, 24, 25, 80],
+    400: [18, 19, 20, 21, 22, 23, 80],
+    410: [16, 17, 18, 19, 20, 21, 80],
+    420: [14, 15, 16, 17, 18, 19, 80],
+    430: [12, 13, 14, 15, 16, 80],
+    440: [9, 10, 11, 12, 13, 14, 80],
+    450: [7, 8, 9, 10, 11, 12, 80],
+    460: [5, 6, 7, 8, 9, 10, 80],
+    470: [2, 3, 4, 5, 6, 7, 80],
+    480: [1, 2, 3, 4, 5, 80],
+    490: [1, 2, 3, 80],
+    500: [1]
+  },
+  380: {
+    0: [68, 69, 70, 76, 77],
+    10: [67, 68, 69, 77],
+    20: [67, 68, 77],
+    30: [66, 67, 77, 78],
+    40: [65, 66, 67, 77, 78],
+    50: [64, 65, 66, 77, 78],
+    60: [64, 65, 77, 78],
+    70: [63, 64, 65, 78],
+    80: [62, 63, 64, 78],
+    90: [61, 62, 63, 78],
+    100: [60, 61, 62, 78],
+    110: [59, 60, 61, 78],
+    120: [58, 59, 60, 61, 78],
+    130: [58, 59, 60, 78, 79],
+    140: [57, 58, 59, 78, 79],
+    150: [56, 57, 58, 78, 79],
+    160: [55, 56, 57, 78, 79],
+    170: [54, 55, 56, 79],
+    180: [53, 54, 55, 79],
+    190: [52, 53, 54, 79],
+    200: [50, 51, 52, 53, 79],
+    210: [49, 50, 51, 52, 79],
+    220: [48, 49, 50, 51, 79],
+    230: [47, 48, 49, 50, 79],
+    240: [46, 47, 48, 49, 79],
+    250: [44, 45, 46, 47, 79],
+    260: [43, 44, 45, 46, 79],
+    270: [41, 42, 43, 44, 45, 79],
+    280: [40, 41, 42, 43, 79],
+    290: [38, 39, 40, 41, 42, 79],
+    300: [37, 38, 39, 40, 79],
+    310: [35, 36, 37, 38, 39, 79],
+    320: [33, 34, 35, 36, 37, 79, 80],
+    330: [32, 33, 34, 35, 36, 79, 80],
+    340: [30, 31, 32, 33, 34, 79, 80],
+    350: [28, 29, 30, 31, 32, 79, 80],
+    360: [26, 27, 28, 29, 30, 80],
+    370: [24, 25, 26, 27, 28, 80],
+    380: [22, 23, 24, 25, 26, 80],
+    390: [20, 21, 22, 23, 24, 25, 80],
+    400: [18, 19, 20, 21, 22, 23, 80],
+    410: [16, 17, 18, 19, 20, 80],
+    420: [14, 15, 16, 17, 18, 80],
+    430: [11, 12, 13, 14, 15, 16, 80],
+    440: [9, 10, 11, 12, 13, 14, 80],
+    450: [7, 8, 9, 10, 11, 12, 80],
+    460: [5, 6, 7, 8, 9, 10, 80],
+    470: [3, 4, 5, 6, 7, 8, 80],
+    480: [2, 3, 4, 5, 80],
+    490: [1, 2, 3, 80]
+  },
+  390: {
+    0: [67, 68, 69, 76],
+    10: [67, 68, 76, 77],
+    20: [66, 67, 68, 76, 77],
+    30: [65, 66, 67, 76, 77],
+    40: [64, 65, 66, 77],
+    50: [64, 65, 77],
+    60: [63, 64, 65, 77],
+    70: [62, 63, 64, 77, 78],
+    80: [61, 62, 63, 77, 78],
+    90: [60, 61, 62, 77, 78],
+    100: [59, 60, 61, 62, 77, 78],
+    110: [59, 60, 61, 78],
+    120: [58, 59, 60, 78],
+    130: [57, 58, 59, 78],
+    140: [56, 57, 58, 78],
+    150: [55, 56, 57, 78],
+    160: [54, 55, 56, 78],
+    170: [53, 54, 55, 78],
+    180: [52, 53, 54, 78],
+    190: [51, 52, 53, 78],
+    200: [50, 51, 52, 78, 79],
+    210: [48, 49, 50, 51, 78, 79],
+    220: [47, 48, 49, 50, 78, 79],
+    230: [46, 47, 48, 49, 78, 79],
+    240: [45, 46, 47, 48, 79],
+    250: [43, 44, 45, 46, 47, 79],
+    260: [42, 43, 44, 45, 79],
+    270: [41, 42, 43, 44, 79],
+    280: [39, 40, 41, 42, 79],
+    290: [38, 39, 40, 41, 79],
+    300: [36, 37, 38, 39, 79],
+    310: [34, 35, 36, 37, 38, 79],
+    320: [33, 34, 35, 36, 79],
+    330: [31, 32, 33, 34, 35, 79],
+    340: [29, 30, 31, 32, 33, 79],
+    350: [28, 29, 30, 31, 79],
+    360: [25, 26, 27, 28, 29, 79],
+    370: [24, 25, 26, 27, 28, 79],
+    380: [22, 23, 24, 25, 26, 79],
+    390: [20, 21, 22, 23, 24, 79],
+    400: [18, 19, 20, 21, 22, 79],
+    410: [16, 17, 18, 19, 20, 79],
+    420: [14, 15, 16, 17, 18, 79],
+    430: [12, 13, 14, 15, 16, 79],
+    440: [10, 11, 12, 13, 14, 79],
+    450: [7, 8, 9, 10, 11, 12, 79, 80],
+    460: [5, 6, 7, 8, 9, 79, 80],
+    470: [3, 4, 5, 6, 7, 80],
+    480: [2, 3, 4, 5, 80],
+    490: [2, 3, 80]
+  },
+  400: {
+    0: [67, 68, 69, 75, 76],
+    10: [66, 67, 68, 75, 76],
+    20: [65, 66, 67, 76],
+    30: [65, 66, 76],
+    40: [64, 65, 66, 76, 77],
+    50: [63, 64, 65, 76, 77],
+    60: [62, 63, 64, 76, 77],
+    70: [61, 62, 63, 77],
+    80: [61, 62, 77],
+    90: [60, 61, 62, 77],
+    100: [59, 60, 61, 77],
+    110: [58, 59, 60, 77],
+    120: [57, 58, 59, 77, 78],
+    130: [56, 57, 58, 77, 78],
+    140: [55, 56, 57, 77, 78],
+    150: [54, 55, 56, 57, 77, 78],
+    160: [53, 54, 55, 56, 78],
+    170: [52, 53, 54, 55, 78],
+    180: [51, 52, 53, 54, 78],
+    190: [50, 51, 52, 53, 78],
+    200: [49, 50, 51, 78],
+    210: [48, 49, 50, 78],
+    220: [46, 47, 48, 49, 78],
+    230: [45, 46, 47, 48, 78],
+    240: [44, 45, 46, 47, 78],
+    250: [42, 43, 44, 45, 46, 78],
+    260: [41, 42, 43, 44, 78],
+    270: [40, 41, 42, 43, 78],
+    280: [38, 39, 40, 41, 42, 78, 79],
+    290: [37, 38, 39, 40, 78, 79],
+    300: [35, 36, 37, 38, 39, 78, 79],
+    310: [34, 35, 36, 37, 78, 79],
+    320: [32, 33, 34, 35, 36, 79],
+    330: [30, 31, 32, 33, 34, 79],
+    340: [29, 30, 31, 32, 79],
+    350: [27, 28, 29, 30, 31, 79],
+    360: [25, 26, 27, 28, 29, 79],
+    370: [23, 24, 25, 26, 27, 79],
+    380: [21, 22, 23, 24, 25, 79],
+    390: [19, 20, 21, 22, 23, 24, 79],
+    400: [18, 19, 20, 21, 22, 79],
+    410: [16, 17, 18, 19, 20, 79],
+    420: [14, 15, 16, 17, 18, 79],
+    430: [11, 12, 13, 14, 15, 16, 79],
+    440: [9, 10, 11, 12, 13, 14, 79],
+    450: [7, 8, 9, 10, 11, 12, 79],
+    460: [5, 6, 7, 8, 9, 10, 79],
+    470: [3, 4, 5, 6, 7, 8, 79],
+    480: [2, 3, 4, 5, 6, 79],
+    490: [2, 3, 4, 79],
+    500: [2]
+  },
+  410: {
+    0: [66, 67, 68, 74, 75],
+    10: [66, 67, 75, 76],
+    20: [65, 66, 75, 76],
+    30: [64, 65, 66, 75, 76],
+    40: [63, 64, 65, 75, 76],
+    50: [62, 63, 64, 76],
+    60: [62, 63, 76],
+    70: [61, 62, 63, 76],
+    80: [60, 61, 62, 76, 77],
+    90: [59, 60, 61, 76, 77],
+    100: [58, 59, 60, 76, 77],
+    110: [57, 58, 59, 77],
+    120: [56, 57, 58, 77],
+    130: [55, 56, 57, 58, 77],
+    140: [54, 55, 56, 57, 77],
+    150: [53, 54, 55, 56, 77],
+    160: [52, 53, 54, 55, 77],
+    170: [51, 52, 53, 54, 77],
+    180: [50, 51, 52, 53, 77],
+    190: [49, 50, 51, 52, 77, 78],
+    200: [48, 49, 50, 51, 77, 78],
+    210: [47, 48, 49, 50, 77, 78],
+    220: [46, 47, 48, 49, 78],
+    230: [44, 45, 46, 47, 78],
+    240: [43, 44, 45, 46, 78],
+    250: [42, 43, 44, 45, 78],
+    260: [40, 41, 42, 43, 78],
+    270: [39, 40, 41, 42, 78],
+    280: [38, 39, 40, 41, 78],
+    290: [36, 37, 38, 39, 40, 78],
+    300: [35, 36, 37, 38, 78],
+    310: [33, 34, 35, 36, 37, 78],
+    320: [32, 33, 34, 35, 78],
+    330: [30, 31, 32, 33, 78],
+    340: [28, 29, 30, 31, 32, 78],
+    350: [27, 28, 29, 30, 78],
+    360: [25, 26, 27, 28, 78],
+    370: [23, 24, 25, 26, 27, 78],
+    380: [21, 22, 23, 24, 25, 78],
+    390: [20, 21, 22, 23, 78, 79],
+    400: [17, 18, 19, 20, 21, 78, 79],
+    410: [15, 16, 17, 18, 19, 78, 79],
+    420: [13, 14, 15, 16, 17, 18, 79],
+    430: [11, 12, 13, 14, 15, 16, 79],
+    440: [10, 11, 12, 13, 14, 79],
+    450: [8, 9, 10, 11, 12, 79],
+    460: [6, 7, 8, 9, 10, 79],
+    470: [4, 5, 6, 7, 8, 79],
+    480: [2, 3, 4, 5, 6, 79],
+    490: [2, 3]
+  },
+  420: {
+    0: [66, 67, 68, 74, 75],
+    10: [65, 66, 67, 74, 75],
+    20: [64, 65, 66, 74, 75],
+    30: [63, 64, 65, 75],
+    40: [63, 64, 75, 76],
+    50: [62, 63, 64, 75, 76],
+    60: [61, 62, 63, 75, 76],
+    70: [60, 61, 62, 75, 76],
+    80: [59, 60, 61, 76],
+    90: [58, 59, 60, 76],
+    100: [58, 59, 76],
+    110: [57, 58, 59, 76],
+    120: [56, 57, 58, 76, 77],
+    130: [55, 56, 57, 76, 77],
+    140: [54, 55, 56, 76, 77],
+    150: [53, 54, 55, 76, 77],
+    160: [52, 53, 54, 77],
+    170: [51, 52, 53, 77],
+    180: [50, 51, 52, 77],
+    190: [49, 50, 51, 77],
+    200: [47, 48, 49, 50, 77],
+    210: [46, 47, 48, 49, 77],
+    220: [45, 46, 47, 48, 77],
+    230: [44, 45, 46, 47, 77],
+    240: [43, 44, 45, 77],
+    250: [41, 42, 43, 44, 77],
+    260: [40, 41, 42, 43, 77, 78],
+    270: [38, 39, 40, 41, 42, 77, 78],
+    280: [37, 38, 39, 40, 77, 78],
+    290: [36, 37, 38, 39, 78],
+    300: [34, 35, 36, 37, 78],
+    310: [33, 34, 35, 36, 78],
+    320: [31, 32, 33, 34, 78],
+    330: [29, 30, 31, 32, 33, 78],
+    340: [28, 29, 30, 31, 78],
+    350: [26, 27, 28, 29, 78],
+    360: [24, 25, 26, 27, 28, 78],
+    370: [23, 24, 25, 26, 78],
+    380: [21, 22, 23, 24, 78],
+    390: [19, 20, 21, 22, 23, 78],
+    400: [17, 18, 19, 20, 21, 78],
+    410: [15, 16, 17, 18, 19, 78],
+    420: [14, 15, 16, 17, 78],
+    430: [12, 13, 14, 15, 78],
+    440: [9, 10, 11, 12, 13, 78],
+    450: [7, 8, 9, 10, 11, 12, 78],
+    460: [6, 7, 8, 9, 10, 78],
+    470: [4, 5, 6, 7, 8, 78],
+    480: [3, 4, 5, 6, 78],
+    490: [3, 4, 78]
+  },
+  430: {
+    0: [66, 67, 73, 74],
+    10: [65, 66, 73, 74],
+    20: [64, 65, 66, 74, 75],
+    30: [63, 64, 65, 74, 75],
+    40: [62, 63, 64, 74, 75],
+    50: [61, 62, 63, 75],
+    60: [60, 61, 62, 75],
+    70: [60, 61, 75],
+    80: [59, 60, 61, 75, 76],
+    90: [58, 59, 60, 75, 76],
+    100: [57, 58, 59, 75, 76],
+    110: [56, 57, 58, 76],
+    120: [55, 56, 57, 76],
+    130: [54, 55, 56, 76],
+    140: [53, 54, 55, 76],
+    150: [52, 53, 54, 76],
+    160: [51, 52, 53, 76],
+    170: [50, 51, 52, 76, 77],
+    180: [49, 50, 51, 76, 77],
+    190: [48, 49, 50, 76, 77],
+    200: [47, 48, 49, 76, 77],
+    210: [45, 46, 47, 48, 77],
+    220: [44, 45, 46, 47, 77],
+    230: [43, 44, 45, 46, 77],
+    240: [42, 43, 44, 45, 77],
+    250: [41, 42, 43, 77],
+    260: [39, 40, 41, 42, 77],
+    270: [38, 39, 40, 41, 77],
+    280: [36, 37, 38, 39, 40, 77],
+    290: [35, 36, 37, 38, 77],
+    300: [34, 35, 36, 37, 77],
+    310: [32, 33, 34, 35, 77],
+    320: [31, 32, 33, 34, 77],
+    330: [29, 30, 31, 32, 77],
+    340: [27, 28, 29, 30, 31, 77],
+    350: [26, 27, 28, 29, 77, 78],
+    360: [24, 25, 26, 27, 28, 77, 78],
+    370: [22, 23, 24, 25, 26, 78],
+    380: [20, 21, 22, 23, 24, 78],
+    390: [19, 20, 21, 22, 23, 78],
+    400: [17, 18, 19, 20, 21, 78],
+    410: [15, 16, 17, 18, 19, 78],
+    420: [13, 14, 15, 16, 17, 78],
+    430: [11, 12, 13, 14, 15, 78],
+    440: [10, 11, 12, 13, 14, 78],
+    450: [8, 9, 10, 11, 12, 78],
+    460: [6, 7, 8, 9, 10, 78],
+    470: [4, 5, 6, 7, 8, 78],
+    480: [3, 4, 5, 6, 78],
+    490: [3, 4, 78]
+  },
+  440: {
+    0: [65, 66, 67, 72, 73],
+    10: [64, 65, 66, 73, 74],
+    20: [63, 64, 65, 73, 74],
+    30: [62, 63, 64, 73, 74],
+    40: [62, 63, 74],
+    50: [61, 62, 74, 75],
+    60: [60, 61, 62, 74, 75],
+    70: [59, 60, 61, 74, 75],
+    80: [58, 59, 60, 75],
+    90: [57, 58, 59, 75],
+    100: [56, 57, 58, 75],
+    110: [55, 56, 57, 75],
+    120: [54, 55, 56, 75, 76],
+    130: [53, 54, 55, 56, 75, 76],
+    140: [53, 54, 55, 75, 76],
+    150: [52, 53, 54, 75, 76],
+    160: [50, 51, 52, 53, 76],
+    170: [49, 50, 51, 52, 76],
+    180: [48, 49, 50, 51, 76],
+    190: [47, 48, 49, 50, 76],
+    200: [46, 47, 48, 49, 76],
+    210: [45, 46, 47, 76],
+    220: [44, 45, 46, 76],
+    230: [43, 44, 45, 76],
+    240: [41, 42, 43, 44, 76, 77],
+    250: [40, 41, 42, 43, 76, 77],
+    260: [39, 40, 41, 76, 77],
+    270: [37, 38, 39, 40, 76, 77],
+    280: [36, 37, 38, 39, 77],
+    290: [35, 36, 37, 38, 77],
+    300: [33, 34, 35, 36, 77],
+    310: [32, 33, 34, 35, 77],
+    320: [30, 31, 32, 33, 77],
+    330: [28, 29, 30, 31, 32, 77],
+    340: [27, 28, 29, 30, 77],
+    350: [25, 26, 27, 28, 29, 77],
+    360: [24, 25, 26, 27, 77],
+    370: [22, 23, 24, 25, 26, 77],
+    380: [21, 22, 23, 24, 77],
+    390: [19, 20, 21, 22, 77],
+    400: [17, 18, 19, 20, 77],
+    410: [15, 16, 17, 18, 19, 77],
+    420: [13, 14, 15, 16, 17, 77],
+    430: [12, 13, 14, 15, 77],
+    440: [10, 11, 12, 13, 77],
+    450: [8, 9, 10, 11, 12, 77, 78],
+    460: [6, 7, 8, 9, 10, 77, 78],
+    470: [4, 5, 6, 7, 8, 78],
+    480: [3, 4, 5, 6, 78],
+    490: [3, 4, 78],
+    500: [3]
+  },
+  450: {
+    0: [65, 66, 72, 73],
+    10: [64, 65, 66, 72, 73],
+    20: [63, 64, 65, 72, 73],
+    30: [62, 63, 64, 73, 74],
+    40: [61, 62, 63, 73, 74],
+    50: [60, 61, 62, 73, 74],
+    60: [59, 60, 61, 74],
+    70: [58, 59, 60, 74],
+    80: [58, 59, 74, 75],
+    90: [57, 58, 59, 74, 75],
+    100: [56, 57, 58, 74, 75],
+    110: [55, 56, 57, 75],
+    120: [54, 55, 56, 75],
+    130: [53, 54, 55, 75],
+    140: [52, 53, 54, 75],
+    150: [51, 52, 53, 75],
+    160: [50, 51, 52, 75],
+    170: [49, 50, 51, 75, 76],
+    180: [48, 49, 50, 75, 76],
+    190: [47, 48, 49, 75, 76],
+    200: [46, 47, 48, 76],
+    210: [44, 45, 46, 47, 76],
+    220: [43, 44, 45, 46, 76],
+    230: [42, 43, 44, 45, 76],
+    240: [41, 42, 43, 76],
+    250: [39, 40, 41, 42, 76],
+    260: [38, 39, 40, 41, 76],
+    270: [37, 38, 39, 40, 76],
+    280: [36, 37, 38, 76],
+    290: [34, 35, 36, 37, 76],
+    300: [33, 34, 35, 36, 76],
+    310: [31, 32, 33, 34, 76],
+    320: [30, 31, 32, 33, 76, 77],
+    330: [28, 29, 30, 31, 76, 77],
+    340: [27, 28, 29, 30, 77],
+    350: [25, 26, 27, 28, 77],
+    360: [24, 25, 26, 27, 77],
+    370: [22, 23, 24, 25, 77],
+    380: [20, 21, 22, 23, 77],
+    390: [18, 19, 20, 21, 22, 77],
+    400: [17, 18, 19, 20, 77],
+    410: [15, 16, 17, 18, 19, 77],
+    420: [13, 14, 15, 16, 17, 77],
+    430: [11, 12, 13, 14, 15, 77],
+    440: [10, 11, 12, 13, 77],
+    450: [8, 9, 10, 11, 12, 77],
+    460: [6, 7, 8, 9, 10, 77],
+    470: [5, 6, 7, 8, 77],
+    480: [4, 5, 6, 7, 77],
+    490: [3, 4, 5, 77],
+    500: [77]
+  },
+  460: {
+    0: [64, 65, 66, 71, 72],
+    10: [63, 64, 65, 71, 72, 73],
+    20: [62, 63, 64, 72, 73],
+    30: [62, 63, 72, 73],
+    40: [61, 62, 73],
+    50: [60, 61, 62, 73, 74],
+    60: [59, 60, 61, 73, 74],
+    70: [58, 59, 60, 73, 74],
+    80: [57, 58, 59, 73, 74],
+    90: [56, 57, 58, 74],
+    100: [55, 56, 57, 74],
+    110: [54, 55, 56, 74],
+    120: [53, 54, 55, 74, 75],
+    130: [52, 53, 54, 74, 75],
+    140: [51, 52, 53, 74, 75],
+    150: [50, 51, 52, 75],
+    160: [49, 50, 51, 52, 75],
+    170: [48, 49, 50, 75],
+    180: [47, 48, 49, 75],
+    190: [46, 47, 48, 75],
+    200: [45, 46, 47, 75],
+    210: [44, 45, 46, 75],
+    220: [43, 44, 45, 75],
+    230: [42, 43, 44, 75, 76],
+    240: [40, 41, 42, 43, 75, 76],
+    250: [39, 40, 41, 42, 75, 76],
+    260: [38, 39, 40, 76],
+    270: [37, 38, 39, 76],
+    280: [35, 36, 37, 38, 76],
+    290: [34, 35, 36, 37, 76],
+    300: [32, 33, 34, 35, 76],
+    310: [31, 32, 33, 34, 76],
+    320: [30, 31, 32, 76],
+    330: [28, 29, 30, 31, 76],
+    340: [26, 27, 28, 29, 76],
+    350: [25, 26, 27, 28, 76],
+    360: [23, 24, 25, 26, 76],
+    370: [22, 23, 24, 25, 76],
+    380: [20, 21, 22, 23, 76],
+    390: [19, 20, 21, 22, 76],
+    400: [17, 18, 19, 20, 76, 77],
+    410: [15, 16, 17, 18, 76, 77],
+    420: [13, 14, 15, 16, 17, 76, 77],
+    430: [12, 13, 14, 15, 76, 77],
+    440: [10, 11, 12, 13, 14, 77],
+    450: [9, 10, 11, 12, 77],
+    460: [7, 8, 9, 10, 77],
+    470: [5, 6, 7, 8, 77],
+    480: [4, 5, 6, 77],
+    490: [4, 5, 77],
+    500: [77]
+  },
+  470: {
+    0: [64, 65, 70, 71],
+    10: [63, 64, 65, 70, 71, 72],
+    20: [62, 63, 64, 71, 72],
+    30: [61, 62, 63, 72],
+    40: [60, 61, 62, 72, 73],
+    50: [59, 60, 61, 72, 73],
+    60: [58, 59, 60, 72, 73],
+    70: [57, 58, 59, 73],
+    80: [57, 58, 73],
+    90: [56, 57, 73, 74],
+    100: [55, 56, 57, 73, 74],
+    110: [54, 55, 56, 73, 74],
+    120: [53, 54, 55, 74],
+    130: [52, 53, 54, 74],
+    140: [51, 52, 53, 74],
+    150: [50, 51, 52, 74],
+    160: [49, 50, 51, 74, 75],
+    170: [48, 49, 50, 74, 75],
+    180: [47, 48, 49, 74, 75],
+    190: [46, 47, 48, 74, 75],
+    200: [44, 45, 46, 47, 75],
+    210: [43, 44, 45, 46, 75],
+    220: [42, 43, 44, 75],
+    230: [41, 42, 43, 75],
+    240: [40, 41, 42, 75],
+    250: [38, 39, 40, 41, 75],
+    260: [37, 38, 39, 40, 75],
+    270: [36, 37, 38, 39, 75],
+    280: [35, 36, 37, 75],
+    290: [33, 34, 35, 36, 75, 76],
+    300: [32, 33, 34, 35, 75, 76],
+    310: [31, 32, 33, 75, 76],
+    320: [29, 30, 31, 32, 75, 76],
+    330: [28, 29, 30, 31, 76],
+    340: [26, 27, 28, 29, 76],
+    350: [24, 25, 26, 27, 76],
+    360: [23, 24, 25, 26, 76],
+    370: [22, 23, 24, 25, 76],
+    380: [20, 21, 22, 23, 76],
+    390: [18, 19, 20, 21, 76],
+    400: [17, 18, 19, 20, 76],
+    410: [15, 16, 17, 18, 76],
+    420: [14, 15, 16, 17, 76],
+    430: [12, 13, 14, 15, 76],
+    440: [10, 11, 12, 13, 76],
+    450: [8, 9, 10, 11, 12, 76],
+    460: [7, 8, 9, 10, 76],
+    470: [5, 6, 7, 8, 76],
+    480: [4, 5, 6, 7, 76],
+    490: [4, 5, 76],
+    500: [4]
+  },
+  480: {
+    0: [64, 65, 70, 71],
+    10: [63, 64, 65, 70, 71],
+    20: [62, 63, 64, 70, 71, 72],
+    30: [61, 62, 63, 71, 72],
+    40: [60, 61, 62, 71, 72],
+    50: [59, 60, 61, 72],
+    60: [58, 59, 60, 72, 73],
+    70: [57, 58, 59, 72, 73],
+    80: [56, 57, 58, 72, 73],
+    90: [55, 56, 57, 73],
+    100: [54, 55, 56, 73],
+    110: [53, 54, 55, 73],
+    120: [52, 53, 54, 73, 74],
+    130: [51, 52, 53, 73, 74],
+    140: [50, 51, 52, 73, 74],
+    150: [49, 50, 51, 74],
+    160: [48, 49, 50, 74],
+    170: [47, 48, 49, 74],
+    180: [46, 47, 48, 74],
+    190: [45, 46, 47, 74],
+    200: [44, 45, 46, 74],
+    210: [43, 44, 45, 74, 75],
+    220: [42, 43, 44, 74, 75],
+    230: [40, 41, 42, 43, 74, 75],
+    240: [39, 40, 41, 42, 74, 75],
+    250: [38, 39, 40, 41, 75],
+    260: [37, 38, 39, 75],
+    270: [36, 37, 38, 75],
+    280: [34, 35, 36, 37, 75],
+    290: [33, 34, 35, 75],
+    300: [32, 33, 34, 75],
+    310: [30, 31, 32, 33, 75],
+    320: [29, 30, 31, 32, 75],
+    330: [27, 28, 29, 30, 75],
+    340: [26, 27, 28, 29, 75],
+    350: [24, 25, 26, 27, 75],
+    360: [23, 24, 25, 26, 75],
+    370: [21, 22, 23, 24, 75, 76],
+    380: [20, 21, 22, 23, 75, 76],
+    390: [18, 19, 20, 21, 75, 76],
+    400: [17, 18, 19, 20, 76],
+    410: [15, 16, 17, 18, 76],
+    420: [13, 14, 15, 16, 76],
+    430: [12, 13, 14, 15, 76],
+    440: [10, 11, 12, 13, 14, 76],
+    450: [9, 10, 11, 12, 76],
+    460: [7, 8, 9, 10, 76],
+    470: [6, 7, 8, 9, 76],
+    480: [4, 5, 6, 7, 76],
+    490: [4, 5, 76]
+  },
+  490: {
+    0: [64, 65, 69, 70],
+    10: [63, 64, 69, 70, 71],
+    20: [61, 62, 63, 64, 69, 70, 71],
+    30: [60, 61, 62, 70, 71],
+    40: [60, 61, 71, 72],
+    50: [59, 60, 71, 72],
+    60: [58, 59, 71, 72],
+    70: [57, 58, 72],
+    80: [56, 57, 58, 72],
+    90: [55, 56, 57, 72, 73],
+    100: [54, 55, 56, 72, 73],
+    110: [53, 54, 55, 72, 73],
+    120: [52, 53, 54, 73],
+    130: [51, 52, 53, 73],
+    140: [50, 51, 52, 73],
+    150: [49, 50, 51, 73],
+    160: [48, 49, 50, 73, 74],
+    170: [47, 48, 49, 73, 74],
+    180: [46, 47, 48, 73, 74],
+    190: [45, 46, 47, 73, 74],
+    200: [44, 45, 46, 74],
+    210: [42, 43, 44, 45, 74],
+    220: [41, 42, 43, 44, 74],
+    230: [40, 41, 42, 74],
+    240: [39, 40, 41, 74],
+    250: [38, 39, 40, 74],
+    260: [36, 37, 38, 39, 74],
+    270: [35, 36, 37, 38, 74, 75],
+    280: [34, 35, 36, 74, 75],
+    290: [33, 34, 35, 74, 75],
+    300: [31, 32, 33, 34, 74, 75],
+    310: [30, 31, 32, 33, 75],
+    320: [28, 29, 30, 31, 75],
+    330: [27, 28, 29, 30, 75],
+    340: [26, 27, 28, 75],
+    350: [24, 25, 26, 27, 75],
+    360: [23, 24, 25, 75],
+    370: [21, 22, 23, 24, 75],
+    380: [20, 21, 22, 23, 75],
+    390: [18, 19, 20, 21, 75],
+    400: [16, 17, 18, 19, 75],
+    410: [15, 16, 17, 18, 75],
+    420: [14, 15, 16, 17, 75],
+    430: [12, 13, 14, 15, 75],
+    440: [11, 12, 13, 14, 75],
+    450: [9, 10, 11, 12, 75],
+    460: [7, 8, 9, 10, 75],
+    470: [5, 6, 7, 8, 9, 75, 76],
+    480: [5, 6, 7, 75, 76],
+    490: [5, 6]
+  },
+  500: {
+    0: [64, 69],
+    10: [62, 63, 64, 68, 69, 70],
+    20: [61, 62, 63, 64, 68, 69, 70],
+    30: [60, 61, 62, 69, 70, 71],
+    40: [59, 60, 61, 70, 71],
+    50: [58, 59, 60, 70, 71],
+    60: [57, 58, 59, 71],
+    70: [56, 57, 58, 71, 72],
+    80: [55, 56, 57, 71, 72],
+    90: [54, 55, 56, 71, 72],
+    100: [53, 54, 55, 72],
+    110: [52, 53, 54, 72],
+    120: [51, 52, 53, 72, 73],
+    130: [50, 51, 52, 72, 73],
+    140: [49, 50, 51, 72, 73],
+    150: [48, 49, 50, 72, 73],
+    160: [47, 48, 49, 73],
+    170: [46, 47, 48, 73],
+    180: [45, 46, 47, 73],
+    190: [44, 45, 46, 73],
+    200: [43, 44, 45, 73],
+    210: [42, 43, 44, 73, 74],
+    220: [41, 42, 43, 73, 74],
+    230: [40, 41, 42, 73, 74],
+    240: [39, 40, 41, 74],
+    250: [37, 38, 39, 40, 74],
+    260: [36, 37, 38, 39, 74],
+    270: [35, 36, 37, 74],
+    280: [34, 35, 36, 74],
+    290: [32, 33, 34, 35, 74],
+    300: [31, 32, 33, 74],
+    310: [30, 31, 32, 74],
+    320: [28, 29, 30, 31, 74],
+    330: [27, 28, 29, 30, 74],
+    340: [25, 26, 27, 28, 74, 75],
+    350: [24, 25, 26, 27, 74, 75],
+    360: [23, 24, 25, 74, 75],
+    370: [21, 22, 23, 24, 74, 75],
+    380: [19, 20, 21, 22, 75],
+    390: [18, 19, 20, 21, 75],
+    400: [17, 18, 19, 20, 75],
+    410: [15, 16, 17, 18, 75],
+    420: [14, 15, 16, 17, 75],
+    430: [12, 13, 14, 15, 75],
+    440: [10, 11, 12, 13, 75],
+    450: [9, 10, 11, 12, 75],
+    460: [7, 8, 9, 10, 11, 75],
+    470: [6, 7, 8, 9, 75],
+    480: [5, 6, 7, 8, 75],
+    490: [5, 6, 75],
+    500: [5, 75]
+  },
+  510: {
+    0: [63, 64, 67, 68],
+    10: [62, 63, 64, 67, 68, 69],
+    20: [61, 62, 63, 64, 67, 68, 69, 70],
+    30: [60, 61, 62, 68, 69, 70],
+    40: [59, 60, 61, 69, 70],
+    50: [58, 59, 60, 70, 71],
+    60: [57, 58, 59, 70, 71],
+    70: [56, 57, 58, 70, 71],
+    80: [55, 56, 57, 71],
+    90: [54, 55, 56, 71, 72],
+    100: [53, 54, 55, 71, 72],
+    110: [52, 53, 54, 71, 72],
+    120: [51, 52, 53, 71, 72],
+    130: [50, 51, 52, 72],
+    140: [49, 50, 51, 72],
+    150: [48, 49, 50, 72],
+    160: [47, 48, 49, 72, 73],
+    170: [46, 47, 48, 72, 73],
+    180: [45, 46, 47, 72, 73],
+    190: [44, 45, 46, 73],
+    200: [43, 44, 45, 73],
+    210: [42, 43, 44, 73],
+    220: [40, 41, 42, 43, 73],
+    230: [39, 40, 41, 42, 73],
+    240: [38, 39, 40, 41, 73],
+    250: [37, 38, 39, 73],
+    260: [36, 37, 38, 73],
+    270: [35, 36, 37, 73, 74],
+    280: [33, 34, 35, 36, 73, 74],
+    290: [32, 33, 34, 73, 74],
+    300: [31, 32, 33, 74],
+    310: [29, 30, 31, 32, 74],
+    320: [28, 29, 30, 31, 74],
+    330: [27, 28, 29, 74],
+    340: [25, 26, 27, 28, 74],
+    350: [24, 25, 26, 27, 74],
+    360: [22, 23, 24, 25, 74],
+    370: [21, 22, 23, 24, 74],
+    380: [20, 21, 22, 74],
+    390: [18, 19, 20, 21, 74],
+    400: [17, 18, 19, 20, 74],
+    410: [15, 16, 17, 18, 74],
+    420: [14, 15, 16, 74, 75],
+    430: [12, 13, 14, 15, 74, 75],
+    440: [11, 12, 13, 14, 74, 75],
+    450: [9, 10, 11, 12, 75],
+    460: [8, 9, 10, 11, 75],
+    470: [6, 7, 8, 9, 75],
+    480: [5, 6, 7, 8, 75],
+    490: [5, 6, 75]
+  },
+  520: {
+    0: [64, 67],
+    10: [62, 63, 64, 66, 67, 68],
+    20: [61, 62, 63, 64, 66, 67, 68, 69],
+    30: [60, 61, 62, 67, 68, 69],
+    40: [59, 60, 61, 68, 69, 70],
+    50: [58, 59, 60, 69, 70],
+    60: [57, 58, 59, 69, 70],
+    70: [56, 57, 70],
+    80: [55, 56, 70, 71],
+    90: [54, 55, 56, 70, 71],
+    100: [53, 54, 70, 71],
+    110: [52, 53, 54, 71],
+    120: [51, 52, 53, 71],
+    130: [50, 51, 52, 71, 72],
+    140: [49, 50, 51, 71, 72],
+    150: [48, 49, 50, 71, 72],
+    160: [47, 48, 49, 72],
+    170: [46, 47, 48, 72],
+    180: [45, 46, 47, 72],
+    190: [43, 44, 45, 46, 72],
+    200: [42, 43, 44, 45, 72, 73],
+    210: [41, 42, 43, 72, 73],
+    220: [40, 41, 42, 72, 73],
+    230: [39, 40, 41, 72, 73],
+    240: [38, 39, 40, 73],
+    250: [37, 38, 39, 73],
+    260: [35, 36, 37, 38, 73],
+    270: [34, 35, 36, 37, 73],
+    280: [33, 34, 35, 73],
+    290: [32, 33, 34, 73],
+    300: [30, 31, 32, 33, 73],
+    310: [29, 30, 31, 32, 73],
+    320: [28, 29, 30, 73, 74],
+    330: [26, 27, 28, 29, 73, 74],
+    340: [25, 26, 27, 28, 73, 74],
+    350: [24, 25, 26, 74],
+    360: [22, 23, 24, 25, 74],
+    370: [21, 22, 23, 24, 74],
+    380: [20, 21, 22, 74],
+    390: [18, 19, 20, 21, 74],
+    400: [17, 18, 19, 74],
+    410: [15, 16, 17, 18, 74],
+    420: [14, 15, 16, 17, 74],
+    430: [12, 13, 14, 15, 74],
+    440: [11, 12, 13, 14, 74],
+    450: [9, 10, 11, 12, 74],
+    460: [8, 9, 10, 11, 74],
+    470: [6, 7, 8, 9, 74],
+    480: [6, 7, 8, 74],
+    490: [6, 74]
+  },
+  530: {
+    0: [64, 65],
+    10: [62, 63, 64, 65, 66, 67],
+    20: [61, 62, 63, 64, 65, 66, 67, 68],
+    30: [59, 60, 61, 62, 66, 67, 68, 69],
+    40: [58, 59, 60, 61, 67, 68, 69],
+    50: [57, 58, 59, 68, 69],
+    60: [56, 57, 58, 69, 70],
+    70: [55, 56, 57, 69, 70],
+    80: [54, 55, 56, 69, 70],
+    90: [53, 54, 55, 70],
+    100: [52, 53, 54, 70, 71],
+    110: [51, 52, 53, 70, 71],
+    120: [50, 51, 52, 70, 71],
+    130: [49, 50, 51, 71],
+    140: [48, 49, 50, 71],
+    150: [47, 48, 49, 71],
+    160: [46, 47, 48, 71, 72],
+    170: [45, 46, 47, 71, 72],
+    180: [44, 45, 46, 71, 72],
+    190: [43, 44, 45, 72],
+    200: [42, 43, 44, 72],
+    210: [41, 42, 43, 72],
+    220: [40, 41, 42, 72],
+    230: [39, 40, 41, 72],
+    240: [38, 39, 40, 72],
+    250: [36, 37, 38, 39, 72, 73],
+    260: [35, 36, 37, 72, 73],
+    270: [34, 35, 36, 72, 73],
+    280: [33, 34, 35, 72, 73],
+    290: [31, 32, 33, 34, 73],
+    300: [30, 31, 32, 33, 73],
+    310: [29, 30, 31, 73],
+    320: [28, 29, 30, 73],
+    330: [26, 27, 28, 29, 73],
+    340: [25, 26, 27, 28, 73],
+    350: [24, 25, 26, 73],
+    360: [22, 23, 24, 25, 73],
+    370: [21, 22, 23, 24, 73],
+    380: [19, 20, 21, 22, 73],
+    390: [18, 19, 20, 21, 73, 74],
+    400: [17, 18, 19, 73, 74],
+    410: [15, 16, 17, 18, 73, 74],
+    420: [14, 15, 16, 17, 74],
+    430: [12, 13, 14, 15, 74],
+    440: [11, 12, 13, 14, 74],
+    450: [9, 10, 11, 12, 74],
+    460: [8, 9, 10, 11, 74],
+    470: [7, 8, 9, 10, 74],
+    480: [6, 7, 8, 74],
+    490: [6, 7, 74]
+  },
+  540: {
+    10: [62, 63, 64, 65, 66],
+    20: [61, 62, 63, 64, 65, 66, 67],
+    30: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    40: [58, 59, 60, 61, 66, 67, 68],
+    50: [57, 58, 59, 67, 68, 69],
+    60: [56, 57, 58, 68, 69],
+    70: [55, 56, 57, 68, 69],
+    80: [54, 55, 56, 69, 70],
+    90: [53, 54, 55, 69, 70],
+    100: [52, 53, 54, 69, 70],
+    110: [51, 52, 53, 70],
+    120: [50, 51, 52, 70],
+    130: [49, 50, 51, 70, 71],
+    140: [48, 49, 50, 70, 71],
+    150: [47, 48, 49, 70, 71],
+    160: [46, 47, 48, 71],
+    170: [45, 46, 47, 71],
+    180: [44, 45, 46, 71],
+    190: [43, 44, 45, 71],
+    200: [42, 43, 44, 71, 72],
+    210: [41, 42, 43, 71, 72],
+    220: [40, 41, 42, 71, 72],
+    230: [38, 39, 40, 41, 71, 72],
+    240: [37, 38, 39, 72],
+    250: [36, 37, 38, 72],
+    260: [35, 36, 37, 72],
+    270: [34, 35, 36, 72],
+    280: [32, 33, 34, 35, 72],
+    290: [31, 32, 33, 72],
+    300: [30, 31, 32, 72],
+    310: [29, 30, 31, 72, 73],
+    320: [28, 29, 30, 72, 73],
+    330: [26, 27, 28, 29, 72, 73],
+    340: [25, 26, 27, 72, 73],
+    350: [24, 25, 26, 73],
+    360: [22, 23, 24, 25, 73],
+    370: [21, 22, 23, 73],
+    380: [19, 20, 21, 22, 73],
+    390: [18, 19, 20, 21, 73],
+    400: [17, 18, 19, 73],
+    410: [15, 16, 17, 18, 73],
+    420: [14, 15, 16, 17, 73],
+    430: [13, 14, 15, 73],
+    440: [11, 12, 13, 14, 73],
+    450: [10, 11, 12, 13, 73],
+    460: [8, 9, 10, 11, 73],
+    470: [7, 8, 9, 10, 73],
+    480: [6, 7, 8, 73, 74],
+    490: [6, 7]
+  },
+  550: {
+    10: [63, 64, 65],
+    20: [61, 62, 63, 64, 65, 66],
+    30: [59, 60, 61, 62, 63, 64, 65, 66, 67],
+    40: [58, 59, 60, 61, 65, 66, 67, 68],
+    50: [57, 58, 59, 66, 67, 68],
+    60: [56, 57, 58, 67, 68],
+    70: [55, 56, 57, 68, 69],
+    80: [54, 55, 56, 68, 69],
+    90: [53, 54, 55, 68, 69],
+    100: [52, 53, 54, 69],
+    110: [51, 52, 53, 69, 70],
+    120: [50, 51, 52, 69, 70],
+    130: [49, 50, 51, 69, 70],
+    140: [48, 49, 50, 70],
+    150: [47, 48, 49, 70],
+    160: [46, 47, 48, 70, 71],
+    170: [45, 46, 47, 70, 71],
+    180: [44, 45, 46, 70, 71],
+    190: [42, 43, 44, 45, 70, 71],
+    200: [41, 42, 43, 71],
+    210: [40, 41, 42, 71],
+    220: [39, 40, 41, 71],
+    230: [38, 39, 40, 71],
+    240: [37, 38, 39, 71],
+    250: [36, 37, 38, 71, 72],
+    260: [35, 36, 37, 71, 72],
+    270: [33, 34, 35, 36, 71, 72],
+    280: [32, 33, 34, 35, 72],
+    290: [31, 32, 33, 72],
+    300: [30, 31, 32, 72],
+    310: [29, 30, 31, 72],
+    320: [27, 28, 29, 30, 72],
+    330: [26, 27, 28, 72],
+    340: [25, 26, 27, 72],
+    350: [23, 24, 25, 26, 72],
+    360: [22, 23, 24, 25, 72],
+    370: [21, 22, 23, 72],
+    380: [20, 21, 22, 72, 73],
+    390: [18, 19, 20, 21, 72, 73],
+    400: [17, 18, 19, 72, 73],
+    410: [15, 16, 17, 18, 73],
+    420: [14, 15, 16, 17, 73],
+    430: [13, 14, 15, 73],
+    440: [11, 12, 13, 14, 73],
+    450: [10, 11, 12, 13, 73],
+    460: [8, 9, 10, 11, 73],
+    470: [7, 8, 9, 10, 73],
+    480: [7, 8, 9, 73],
+    490: [7]
+  },
+  560: {
+    20: [61, 62, 63, 64, 65],
+    30: [59, 60, 61, 62, 63, 64, 65, 66],
+    40: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    50: [57, 58, 59, 60, 65, 66, 67],
+    60: [56, 57, 58, 66, 67, 68],
+    70: [55, 56, 57, 67, 68],
+    80: [54, 55, 56, 67, 68],
+    90: [53, 54, 55, 68, 69],
+    100: [52, 53, 68, 69],
+    110: [51, 52, 68, 69],
+    120: [50, 51, 69],
+    130: [49, 50, 69],
+    140: [48, 49, 69, 70],
+    150: [46, 47, 48, 69, 70],
+    160: [45, 46, 47, 69, 70],
+    170: [44, 45, 46, 70],
+    180: [43, 44, 45, 70],
+    190: [42, 43, 44, 70],
+    200: [41, 42, 43, 70, 71],
+    210: [40, 41, 42, 70, 71],
+    220: [39, 40, 41, 70, 71],
+    230: [38, 39, 40, 70, 71],
+    240: [37, 38, 39, 71],
+    250: [36, 37, 38, 71],
+    260: [35, 36, 37, 71],
+    270: [33, 34, 35, 36, 71],
+    280: [32, 33, 34, 71],
+    290: [31, 32, 33, 71],
+    300: [30, 31, 32, 71, 72],
+    310: [28, 29, 30, 31, 71, 72],
+    320: [27, 28, 29, 30, 71, 72],
+    330: [26, 27, 28, 72],
+    340: [25, 26, 27, 72],
+    350: [23, 24, 25, 26, 72],
+    360: [22, 23, 24, 25, 72],
+    370: [21, 22, 23, 72],
+    380: [19, 20, 21, 22, 72],
+    390: [18, 19, 20, 21, 72],
+    400: [17, 18, 19, 72],
+    410: [16, 17, 18, 72],
+    420: [14, 15, 16, 17, 72],
+    430: [13, 14, 15, 72],
+    440: [11, 12, 13, 14, 72],
+    450: [10, 11, 12, 13, 72, 73],
+    460: [9, 10, 11, 72, 73],
+    470: [8, 9, 10, 72, 73],
+    480: [7, 8, 9, 73],
+    490: [7, 8]
+  },
+  570: {
+    20: [61, 62, 63, 64],
+    30: [59, 60, 61, 62, 63, 64, 65],
+    40: [58, 59, 60, 61, 62, 63, 64, 65, 66],
+    50: [57, 58, 59, 60, 64, 65, 66, 67],
+    60: [56, 57, 58, 65, 66, 67],
+    70: [55, 56, 57, 66, 67],
+    80: [53, 54, 55, 66, 67, 68],
+    90: [52, 53, 54, 67, 68],
+    100: [51, 52, 53, 67, 68],
+    110: [50, 51, 52, 68, 69],
+    120: [49, 50, 51, 68, 69],
+    130: [48, 49, 50, 68, 69],
+    140: [47, 48, 49, 68, 69],
+    150: [46, 47, 48, 69],
+    160: [45, 46, 47, 69],
+    170: [44, 45, 46, 69, 70],
+    180: [43, 44, 45, 69, 70],
+    190: [42, 43, 44, 69, 70],
+    200: [41, 42, 43, 70],
+    210: [40, 41, 42, 70],
+    220: [39, 40, 41, 70],
+    230: [38, 39, 40, 70],
+    240: [37, 38, 39, 70],
+    250: [35, 36, 37, 38, 70, 71],
+    260: [34, 35, 36, 70, 71],
+    270: [33, 34, 35, 70, 71],
+    280: [32, 33, 34, 71],
+    290: [31, 32, 33, 71],
+    300: [30, 31, 32, 71],
+    310: [28, 29, 30, 31, 71],
+    320: [27, 28, 29, 71],
+    330: [26, 27, 28, 71],
+    340: [25, 26, 27, 71],
+    350: [23, 24, 25, 26, 71],
+    360: [22, 23, 24, 25, 71, 72],
+    370: [21, 22, 23, 71, 72],
+    380: [20, 21, 22, 71, 72],
+    390: [18, 19, 20, 21, 72],
+    400: [17, 18, 19, 72],
+    410: [16, 17, 18, 72],
+    420: [14, 15, 16, 17, 72],
+    430: [13, 14, 15, 16, 72],
+    440: [12, 13, 14, 72],
+    450: [10, 11, 12, 13, 72],
+    460: [9, 10, 11, 12, 72],
+    470: [8, 9, 10, 72],
+    480: [7, 8, 9, 72],
+    490: [7, 72]
+  },
+  580: {
+    30: [60, 61, 62, 63, 64],
+    40: [58, 59, 60, 61, 62, 63, 64, 65],
+    50: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    60: [56, 57, 58, 64, 65, 66],
+    70: [54, 55, 56, 57, 65, 66, 67],
+    80: [53, 54, 55, 66, 67],
+    90: [52, 53, 54, 66, 67],
+    100: [51, 52, 53, 67, 68],
+    110: [50, 51, 52, 67, 68],
+    120: [49, 50, 51, 67, 68],
+    130: [48, 49, 50, 68],
+    140: [47, 48, 49, 68, 69],
+    150: [46, 47, 48, 68, 69],
+    160: [45, 46, 47, 68, 69],
+    170: [44, 45, 46, 69],
+    180: [43, 44, 45, 69],
+    190: [42, 43, 44, 69],
+    200: [41, 42, 43, 69],
+    210: [40, 41, 42, 69, 70],
+    220: [39, 40, 41, 69, 70],
+    230: [38, 39, 40, 69, 70],
+    240: [36, 37, 38, 70],
+    250: [35, 36, 37, 70],
+    260: [34, 35, 36, 70],
+    270: [33, 34, 35, 70],
+    280: [32, 33, 34, 70],
+    290: [31, 32, 33, 70, 71],
+    300: [29, 30, 31, 32, 70, 71],
+    310: [28, 29, 30, 70, 71],
+    320: [27, 28, 29, 70, 71],
+    330: [26, 27, 28, 71],
+    340: [25, 26, 27, 71],
+    350: [23, 24, 25, 26, 71],
+    360: [22, 23, 24, 71],
+    370: [21, 22, 23, 71],
+    380: [20, 21, 22, 71],
+    390: [18, 19, 20, 21, 71],
+    400: [17, 18, 19, 71],
+    410: [16, 17, 18, 71],
+    420: [15, 16, 17, 71, 72],
+    430: [13, 14, 15, 16, 71, 72],
+    440: [12, 13, 14, 71, 72],
+    450: [11, 12, 13, 72],
+    460: [9, 10, 11, 12, 72],
+    470: [8, 9, 10, 72],
+    480: [7, 8, 9, 72],
+    490: [7, 8, 72],
+    500: [7]
+  },
+  590: {
+    30: [60, 61, 62, 63],
+    40: [58, 59, 60, 61, 62, 63, 64],
+    50: [57, 58, 59, 60, 61, 62, 63, 64, 65],
+    60: [56, 57, 58, 59, 63, 64, 65, 66],
+    70: [54, 55, 56, 57, 64, 65, 66],
+    80: [53, 54, 55, 65, 66],
+    90: [52, 53, 54, 65, 66, 67],
+    100: [51, 52, 53, 66, 67],
+    110: [50, 51, 52, 66, 67],
+    120: [49, 50, 51, 67, 68],
+    130: [48, 49, 50, 67, 68],
+    140: [47, 48, 49, 67, 68],
+    150: [46, 47, 48, 67, 68],
+    160: [45, 46, 47, 68],
+    170: [44, 45, 46, 68, 69],
+    180: [43, 44, 45, 68, 69],
+    190: [42, 43, 44, 68, 69],
+    200: [41, 42, 43, 68, 69],
+    210: [40, 41, 69],
+    220: [38, 39, 40, 69],
+    230: [37, 38, 39, 69],
+    240: [36, 37, 38, 69, 70],
+    250: [35, 36, 37, 69, 70],
+    260: [34, 35, 36, 69, 70],
+    270: [33, 34, 35, 69, 70],
+    280: [32, 33, 34, 70],
+    290: [31, 32, 33, 70],
+    300: [29, 30, 31, 32, 70],
+    310: [28, 29, 30, 70],
+    320: [27, 28, 29, 70],
+    330: [26, 27, 28, 70],
+    340: [25, 26, 27, 70],
+    350: [23, 24, 25, 26, 70, 71],
+    360: [22, 23, 24, 70, 71],
+    370: [21, 22, 23, 70, 71],
+    380: [20, 21, 22, 71],
+    390: [18, 19, 20, 21, 71],
+    400: [17, 18, 19, 71],
+    410: [16, 17, 18, 71],
+    420: [15, 16, 17, 71],
+    430: [13, 14, 15, 16, 71],
+    440: [12, 13, 14, 71],
+    450: [11, 12, 13, 71],
+    460: [10, 11, 12, 71],
+    470: [9, 10, 11, 71],
+    480: [7, 8, 9, 10, 71],
+    490: [7, 8, 71]
+  },
+  600: {
+    40: [59, 60, 61, 62, 63],
+    50: [57, 58, 59, 60, 61, 62, 63, 64],
+    60: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    70: [54, 55, 56, 57, 63, 64, 65],
+    80: [53, 54, 55, 56, 64, 65, 66],
+    90: [52, 53, 54, 65, 66],
+    100: [51, 52, 53, 65, 66],
+    110: [50, 51, 52, 66, 67],
+    120: [49, 50, 51, 66, 67],
+    130: [48, 49, 50, 66, 67],
+    140: [47, 48, 49, 67],
+    150: [46, 47, 48, 67, 68],
+    160: [45, 46, 67, 68],
+    170: [44, 45, 67, 68],
+    180: [43, 44, 68],
+    190: [41, 42, 43, 68],
+    200: [40, 41, 42, 68],
+    210: [39, 40, 41, 68, 69],
+    220: [38, 39, 40, 68, 69],
+    230: [37, 38, 39, 68, 69],
+    240: [36, 37, 38, 69],
+    250: [35, 36, 37, 69],
+    260: [34, 35, 36, 69],
+    270: [33, 34, 35, 69],
+    280: [32, 33, 34, 69],
+    290: [30, 31, 32, 33, 69, 70],
+    300: [29, 30, 31, 69, 70],
+    310: [28, 29, 30, 69, 70],
+    320: [27, 28, 29, 70],
+    330: [26, 27, 28, 70],
+    340: [25, 26, 27, 70],
+    350: [23, 24, 25, 70],
+    360: [22, 23, 24, 70],
+    370: [21, 22, 23, 70],
+    380: [20, 21, 22, 70],
+    390: [19, 20, 21, 70],
+    400: [17, 18, 19, 20, 70, 71],
+    410: [16, 17, 18, 70, 71],
+    420: [15, 16, 17, 70, 71],
+    430: [14, 15, 16, 70, 71],
+    440: [12, 13, 14, 15, 71],
+    450: [11, 12, 13, 14, 71],
+    460: [10, 11, 12, 71],
+    470: [9, 10, 11, 71],
+    480: [8, 9, 10, 71],
+    490: [8, 71]
+  },
+  610: {
+    40: [59, 60, 61, 62],
+    50: [57, 58, 59, 60, 61, 62, 63],
+    60: [56, 57, 58, 59, 60, 61, 62, 63, 64],
+    70: [54, 55, 56, 57, 58, 61, 62, 63, 64],
+    80: [53, 54, 55, 56, 63, 64, 65],
+    90: [52, 53, 54, 64, 65],
+    100: [51, 52, 53, 64, 65, 66],
+    110: [50, 51, 52, 65, 66],
+    120: [49, 50, 51, 65, 66],
+    130: [48, 49, 50, 66, 67],
+    140: [47, 48, 49, 66, 67],
+    150: [46, 47, 66, 67],
+    160: [44, 45, 46, 66, 67],
+    170: [43, 44, 45, 67],
+    180: [42, 43, 44, 67, 68],
+    190: [41, 42, 43, 67, 68],
+    200: [40, 41, 42, 67, 68],
+    210: [39, 40, 41, 68],
+    220: [38, 39, 40, 68],
+    230: [37, 38, 39, 68],
+    240: [36, 37, 38, 68, 69],
+    250: [35, 36, 37, 68, 69],
+    260: [34, 35, 36, 68, 69],
+    270: [33, 34, 35, 68, 69],
+    280: [31, 32, 33, 34, 69],
+    290: [30, 31, 32, 69],
+    300: [29, 30, 31, 69],
+    310: [28, 29, 30, 69],
+    320: [27, 28, 29, 69],
+    330: [26, 27, 28, 69],
+    340: [25, 26, 27, 69, 70],
+    350: [23, 24, 25, 26, 69, 70],
+    360: [22, 23, 24, 69, 70],
+    370: [21, 22, 23, 70],
+    380: [20, 21, 22, 70],
+    390: [19, 20, 21, 70],
+    400: [17, 18, 19, 20, 70],
+    410: [16, 17, 18, 70],
+    420: [15, 16, 17, 70],
+    430: [14, 15, 16, 70],
+    440: [12, 13, 14, 15, 70],
+    450: [11, 12, 13, 14, 70],
+    460: [10, 11, 12, 70],
+    470: [9, 10, 11, 70],
+    480: [8, 9, 10, 70, 71],
+    490: [8, 9, 70],
+    500: [8]
+  },
+  620: {
+    50: [58, 59, 60, 61, 62],
+    60: [56, 57, 58, 59, 60, 61, 62, 63],
+    70: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    80: [53, 54, 55, 56, 62, 63, 64],
+    90: [52, 53, 54, 55, 63, 64, 65],
+    100: [51, 52, 53, 63, 64, 65],
+    110: [50, 51, 52, 64, 65],
+    120: [49, 50, 51, 65, 66],
+    130: [48, 49, 50, 65, 66],
+    140: [46, 47, 48, 65, 66],
+    150: [45, 46, 47, 66],
+    160: [44, 45, 46, 66, 67],
+    170: [43, 44, 45, 66, 67],
+    180: [42, 43, 44, 66, 67],
+    190: [41, 42, 43, 67],
+    200: [40, 41, 42, 67],
+    210: [39, 40, 41, 67, 68],
+    220: [38, 39, 40, 67, 68],
+    230: [37, 38, 39, 67, 68],
+    240: [36, 37, 38, 67, 68],
+    250: [35, 36, 37, 68],
+    260: [34, 35, 36, 68],
+    270: [33, 34, 35, 68],
+    280: [31, 32, 33, 34, 68],
+    290: [30, 31, 32, 68, 69],
+    300: [29, 30, 31, 68, 69],
+    310: [28, 29, 30, 68, 69],
+    320: [27, 28, 29, 69],
+    330: [26, 27, 28, 69],
+    340: [25, 26, 27, 69],
+    350: [23, 24, 25, 26, 69],
+    360: [22, 23, 24, 69],
+    370: [21, 22, 23, 69],
+    380: [20, 21, 22, 69],
+    390: [19, 20, 21, 69, 70],
+    400: [18, 19, 20, 69, 70],
+    410: [17, 18, 19, 69, 70],
+    420: [15, 16, 17, 69, 70],
+    430: [14, 15, 16, 70],
+    440: [13, 14, 15, 70],
+    450: [12, 13, 14, 70],
+    460: [10, 11, 12, 13, 70],
+    470: [9, 10, 11, 70],
+    480: [8, 9, 10, 70],
+    490: [8, 9, 70],
+    500: [70]
+  },
+  630: {
+    50: [59, 60],
+    60: [56, 57, 58, 59, 60, 61, 62],
+    70: [55, 56, 57, 58, 59, 60, 61, 62, 63],
+    80: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    90: [52, 53, 54, 55, 62, 63, 64],
+    100: [51, 52, 53, 63, 64],
+    110: [50, 51, 52, 63, 64, 65],
+    120: [49, 50, 51, 64, 65],
+    130: [47, 48, 49, 50, 64, 65],
+    140: [46, 47, 48, 65, 66],
+    150: [45, 46, 47, 65, 66],
+    160: [44, 45, 46, 65, 66],
+    170: [43, 44, 45, 65, 66],
+    180: [42, 43, 44, 66],
+    190: [41, 42, 43, 66, 67],
+    200: [40, 41, 42, 66, 67],
+    210: [39, 40, 41, 66, 67],
+    220: [38, 39, 40, 67],
+    230: [37, 38, 39, 67],
+    240: [36, 37, 38, 67],
+    250: [35, 36, 37, 67, 68],
+    260: [34, 35, 36, 67, 68],
+    270: [33, 34, 67, 68],
+    280: [31, 32, 33, 68],
+    290: [30, 31, 32, 68],
+    300: [29, 30, 31, 68],
+    310: [28, 29, 30, 68],
+    320: [27, 28, 29, 68],
+    330: [26, 27, 28, 68],
+    340: [25, 26, 27, 68, 69],
+    350: [23, 24, 25, 26, 68, 69],
+    360: [22, 23, 24, 68, 69],
+    370: [21, 22, 23, 69],
+    380: [20, 21, 22, 69],
+    390: [19, 20, 21, 69],
+    400: [18, 19, 20, 69],
+    410: [16, 17, 18, 19, 69],
+    420: [15, 16, 17, 18, 69],
+    430: [14, 15, 16, 69],
+    440: [13, 14, 15, 69],
+    450: [12, 13, 14, 69, 70],
+    460: [11, 12, 13, 69, 70],
+    470: [9, 10, 11, 12, 69, 70],
+    480: [9, 10, 11, 70],
+    490: [9, 70]
+  },
+  640: {
+    60: [57, 58, 59, 60],
+    70: [55, 56, 57, 58, 59, 60, 61, 62],
+    80: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    90: [52, 53, 54, 55, 56, 60, 61, 62, 63],
+    100: [51, 52, 53, 54, 61, 62, 63, 64],
+    110: [50, 51, 52, 62, 63, 64],
+    120: [49, 50, 51, 63, 64],
+    130: [47, 48, 49, 50, 63, 64, 65],
+    140: [46, 47, 48, 64, 65],
+    150: [45, 46, 47, 64, 65],
+    160: [44, 45, 46, 65],
+    170: [43, 44, 45, 65, 66],
+    180: [42, 43, 44, 65, 66],
+    190: [41, 42, 43, 65, 66],
+    200: [40, 41, 42, 66],
+    210: [39, 40, 41, 66],
+    220: [38, 39, 40, 66, 67],
+    230: [37, 38, 39, 66, 67],
+    240: [36, 37, 38, 66, 67],
+    250: [35, 36, 37, 67],
+    260: [34, 35, 36, 67],
+    270: [32, 33, 34, 67],
+    280: [32, 33, 67],
+    290: [30, 31, 32, 67, 68],
+    300: [29, 30, 31, 67, 68],
+    310: [28, 29, 30, 67, 68],
+    320: [27, 28, 29, 68],
+    330: [26, 27, 28, 68],
+    340: [25, 26, 27, 68],
+    350: [24, 25, 26, 68],
+    360: [22, 23, 24, 25, 68],
+    370: [21, 22, 23, 68],
+    380: [20, 21, 22, 68, 69],
+    390: [19, 20, 21, 68, 69],
+    400: [18, 19, 20, 68, 69],
+    410: [17, 18, 19, 68, 69],
+    420: [16, 17, 18, 69],
+    430: [15, 16, 69],
+    440: [13, 14, 15, 69],
+    450: [12, 13, 14, 69],
+    460: [11, 12, 13, 69],
+    470: [10, 11, 12, 69],
+    480: [9, 10, 11, 69],
+    490: [9, 10, 69]
+  },
+  650: {
+    70: [55, 56, 57, 58, 59, 60],
+    80: [54, 55, 56, 57, 58, 59, 60, 61, 62],
+    90: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    100: [51, 52, 53, 54, 60, 61, 62, 63],
+    110: [50, 51, 52, 61, 62, 63],
+    120: [49, 50, 51, 62, 63, 64],
+    130: [47, 48, 49, 50, 63, 64],
+    140: [46, 47, 48, 49, 63, 64],
+    150: [45, 46, 47, 63, 64, 65],
+    160: [44, 45, 46, 64, 65],
+    170: [43, 44, 45, 64, 65],
+    180: [42, 43, 44, 64, 65],
+    190: [41, 42, 43, 65, 66],
+    200: [40, 41, 42, 65, 66],
+    210: [39, 40, 41, 65, 66],
+    220: [38, 39, 40, 65, 66],
+    230: [37, 38, 39, 66],
+    240: [36, 37, 38, 66],
+    250: [35, 36, 37, 66, 67],
+    260: [34, 35, 36, 66, 67],
+    270: [32, 33, 34, 66, 67],
+    280: [31, 32, 33, 67],
+    290: [30, 31, 32, 67],
+    300: [29, 30, 31, 67],
+    310: [28, 29, 30, 67],
+    320: [27, 28, 29, 67],
+    330: [26, 27, 28, 67, 68],
+    340: [25, 26, 27, 67, 68],
+    350: [24, 25, 26, 67, 68],
+    360: [22, 23, 24, 25, 67, 68],
+    370: [21, 22, 23, 68],
+    380: [20, 21, 22, 68],
+    390: [19, 20, 21, 68],
+    400: [18, 19, 20, 68],
+    410: [17, 18, 19, 68],
+    420: [16, 17, 18, 68],
+    430: [15, 16, 17, 68],
+    440: [13, 14, 15, 16, 68, 69],
+    450: [12, 13, 14, 68, 69],
+    460: [11, 12, 13, 68, 69],
+    470: [10, 11, 12, 68, 69],
+    480: [9, 10, 11, 69],
+    490: [9, 10, 69]
+  },
+  660: {
+    70: [56, 57, 58, 59],
+    80: [54, 55, 56, 57, 58, 59, 60],
+    90: [53, 54, 55, 56, 57, 58, 59, 60, 61],
+    100: [51, 52, 53, 54, 55, 56, 58, 59, 60, 61, 62],
+    110: [50, 51, 52, 53, 60, 61, 62],
+    120: [49, 50, 51, 61, 62, 63],
+    130: [48, 49, 50, 62, 63],
+    140: [46, 47, 48, 49, 62, 63, 64],
+    150: [45, 46, 47, 63, 64],
+    160: [44, 45, 46, 63, 64],
+    170: [43, 44, 45, 63, 64],
+    180: [42, 43, 44, 64, 65],
+    190: [41, 42, 43, 64, 65],
+    200: [40, 41, 42, 64, 65],
+    210: [39, 40, 41, 65],
+    220: [38, 39, 40, 65, 66],
+    230: [37, 38, 39, 65, 66],
+    240: [36, 37, 38, 65, 66],
+    250: [35, 36, 37, 65, 66],
+    260: [34, 35, 36, 66],
+    270: [33, 34, 66],
+    280: [31, 32, 33, 66],
+    290: [30, 31, 32, 66, 67],
+    300: [29, 30, 31, 66, 67],
+    310: [28, 29, 30, 66, 67],
+    320: [27, 28, 29, 67],
+    330: [26, 27, 28, 67],
+    340: [25, 26, 27, 67],
+    350: [24, 25, 26, 67],
+    360: [23, 24, 25, 67],
+    370: [22, 23, 67],
+    380: [20, 21, 22, 67, 68],
+    390: [19, 20, 21, 67, 68],
+    400: [18, 19, 20, 67, 68],
+    410: [17, 18, 19, 68],
+    420: [16, 17, 18, 68],
+    430: [15, 16, 17, 68],
+    440: [14, 15, 16, 68],
+    450: [13, 14, 15, 68],
+    460: [12, 13, 14, 68],
+    470: [10, 11, 12, 68],
+    480: [10, 11, 68],
+    490: [10, 68]
+  },
+  670: {
+    80: [55, 56, 57, 58, 59],
+    90: [53, 54, 55, 56, 57, 58, 59, 60],
+    100: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    110: [50, 51, 52, 53, 54, 59, 60, 61, 62],
+    120: [49, 50, 51, 52, 60, 61, 62],
+    130: [48, 49, 50, 61, 62, 63],
+    140: [46, 47, 48, 49, 61, 62, 63],
+    150: [45, 46, 47, 48, 62, 63],
+    160: [44, 45, 46, 62, 63, 64],
+    170: [43, 44, 45, 63, 64],
+    180: [42, 43, 44, 63, 64],
+    190: [41, 42, 43, 63, 64],
+    200: [40, 41, 42, 64, 65],
+    210: [39, 40, 41, 64, 65],
+    220: [38, 39, 40, 64, 65],
+    230: [37, 38, 39, 64, 65],
+    240: [36, 37, 38, 65],
+    250: [35, 36, 37, 65],
+    260: [34, 35, 36, 65, 66],
+    270: [33, 34, 65, 66],
+    280: [31, 32, 33, 65, 66],
+    290: [31, 32, 66],
+    300: [29, 30, 31, 66],
+    310: [28, 29, 30, 66],
+    320: [27, 28, 29, 66],
+    330: [26, 27, 28, 66, 67],
+    340: [25, 26, 27, 66, 67],
+    350: [24, 25, 26, 66, 67],
+    360: [23, 24, 25, 66, 67],
+    370: [22, 23, 24, 67],
+    380: [21, 22, 23, 67],
+    390: [20, 21, 67],
+    400: [18, 19, 20, 67],
+    410: [17, 18, 19, 67],
+    420: [16, 17, 18, 67],
+    430: [15, 16, 17, 67, 68],
+    440: [14, 15, 16, 67, 68],
+    450: [13, 14, 15, 67, 68],
+    460: [12, 13, 14, 68],
+    470: [11, 12, 13, 68],
+    480: [10, 11, 12, 68],
+    490: [10, 68]
+  },
+  680: {
+    80: [56, 57],
+    90: [53, 54, 55, 56, 57, 58, 59],
+    100: [52, 53, 54, 55, 56, 57, 58, 59, 60],
+    110: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    120: [49, 50, 51, 52, 59, 60, 61],
+    130: [48, 49, 50, 51, 60, 61, 62],
+    140: [47, 48, 49, 60, 61, 62],
+    150: [45, 46, 47, 48, 61, 62, 63],
+    160: [44, 45, 46, 47, 62, 63],
+    170: [43, 44, 45, 62, 63],
+    180: [42, 43, 44, 62, 63],
+    190: [41, 42, 43, 63, 64],
+    200: [40, 41, 42, 63, 64],
+    210: [39, 40, 41, 63, 64],
+    220: [38, 39, 40, 64],
+    230: [37, 38, 39, 64, 65],
+    240: [36, 37, 38, 64, 65],
+    250: [35, 36, 37, 64, 65],
+    260: [34, 35, 36, 65],
+    270: [33, 34, 35, 65],
+    280: [32, 33, 65],
+    290: [30, 31, 32, 65, 66],
+    300: [29, 30, 31, 65, 66],
+    310: [28, 29, 30, 65, 66],
+    320: [27, 28, 29, 65, 66],
+    330: [26, 27, 28, 66],
+    340: [25, 26, 27, 66],
+    350: [24, 25, 26, 66],
+    360: [23, 24, 25, 66],
+    370: [22, 23, 24, 66],
+    380: [21, 22, 23, 66, 67],
+    390: [20, 21, 22, 66, 67],
+    400: [19, 20, 21, 66, 67],
+    410: [17, 18, 19, 20, 67],
+    420: [16, 17, 18, 67],
+    430: [15, 16, 17, 67],
+    440: [14, 15, 16, 67],
+    450: [13, 14, 15, 67],
+    460: [12, 13, 14, 67],
+    470: [11, 12, 13, 67],
+    480: [10, 11, 12, 67],
+    490: [11]
+  },
+  690: {
+    90: [54, 55, 56, 57],
+    100: [52, 53, 54, 55, 56, 57, 58, 59],
+    110: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    120: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    130: [48, 49, 50, 51, 58, 59, 60, 61],
+    140: [47, 48, 49, 60, 61],
+    150: [46, 47, 48, 60, 61, 62],
+    160: [44, 45, 46, 47, 61, 62],
+    170: [43, 44, 45, 61, 62, 63],
+    180: [42, 43, 44, 62, 63],
+    190: [41, 42, 43, 62, 63],
+    200: [40, 41, 42, 62, 63],
+    210: [39, 40, 41, 63, 64],
+    220: [38, 39, 40, 63, 64],
+    230: [37, 38, 39, 63, 64],
+    240: [36, 37, 38, 63, 64],
+    250: [35, 36, 37, 64],
+    260: [34, 35, 36, 64, 65],
+    270: [33, 34, 35, 64, 65],
+    280: [32, 33, 64, 65],
+    290: [31, 32, 64, 65],
+    300: [30, 31, 65],
+    310: [28, 29, 30, 65],
+    320: [27, 28, 29, 65],
+    330: [26, 27, 28, 65, 66],
+    340: [25, 26, 27, 65, 66],
+    350: [24, 25, 26, 65, 66],
+    360: [23, 24, 25, 65, 66],
+    370: [22, 23, 24, 66],
+    380: [21, 22, 23, 66],
+    390: [20, 21, 22, 66],
+    400: [19, 20, 21, 66],
+    410: [18, 19, 20, 66],
+    420: [17, 18, 66],
+    430: [16, 17, 18, 66, 67],
+    440: [14, 15, 16, 17, 66, 67],
+    450: [13, 14, 15, 66, 67],
+    460: [12, 13, 14, 67],
+    470: [11, 12, 13, 67],
+    480: [11, 12, 67],
+    490: [11, 67]
+  },
+  700: {
+    100: [53, 54, 55, 56, 57],
+    110: [51, 52, 53, 54, 55, 56, 57, 58, 59],
+    120: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    130: [48, 49, 50, 51, 52, 57, 58, 59, 60],
+    140: [47, 48, 49, 50, 58, 59, 60, 61],
+    150: [46, 47, 48, 59, 60, 61],
+    160: [45, 46, 47, 60, 61],
+    170: [43, 44, 45, 46, 60, 61, 62],
+    180: [42, 43, 44, 45, 61, 62],
+    190: [41, 42, 43, 61, 62],
+    200: [40, 41, 42, 62, 63],
+    210: [39, 40, 41, 62, 63],
+    220: [38, 39, 40, 62, 63],
+    230: [37, 38, 39, 63],
+    240: [36, 37, 38, 63, 64],
+    250: [35, 36, 37, 63, 64],
+    260: [34, 35, 36, 63, 64],
+    270: [33, 34, 35, 64],
+    280: [32, 33, 34, 64],
+    290: [31, 32, 33, 64],
+    300: [30, 31, 64, 65],
+    310: [29, 30, 64, 65],
+    320: [28, 29, 64, 65],
+    330: [26, 27, 28, 65],
+    340: [25, 26, 27, 65],
+    350: [24, 25, 26, 65],
+    360: [23, 24, 25, 65],
+    370: [22, 23, 24, 65],
+    380: [21, 22, 23, 65, 66],
+    390: [20, 21, 22, 65, 66],
+    400: [19, 20, 21, 65, 66],
+    410: [18, 19, 20, 66],
+    420: [17, 18, 19, 66],
+    430: [16, 17, 18, 66],
+    440: [15, 16, 17, 66],
+    450: [14, 15, 66],
+    460: [13, 14, 15, 66],
+    470: [12, 13, 14, 66],
+    480: [11, 12, 13, 66, 67],
+    490: [11, 66]
+  },
+  710: {
+    110: [52, 53, 54, 55, 56, 57],
+    120: [50, 51, 52, 53, 54, 55, 56, 57, 58],
+    130: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    140: [47, 48, 49, 50, 51, 57, 58, 59, 60],
+    150: [46, 47, 48, 49, 58, 59, 60],
+    160: [45, 46, 47, 59, 60, 61],
+    170: [44, 45, 46, 60, 61],
+    180: [43, 44, 45, 60, 61],
+    190: [41, 42, 43, 44, 61, 62],
+    200: [40, 41, 42, 61, 62],
+    210: [39, 40, 41, 61, 62],
+    220: [38, 39, 40, 62, 63],
+    230: [37, 38, 39, 62, 63],
+    240: [36, 37, 38, 62, 63],
+    250: [35, 36, 37, 62, 63],
+    260: [34, 35, 36, 63],
+    270: [33, 34, 35, 63, 64],
+    280: [32, 33, 34, 63, 64],
+    290: [31, 32, 33, 63, 64],
+    300: [30, 31, 32, 64],
+    310: [29, 30, 31, 64],
+    320: [28, 29, 30, 64],
+    330: [27, 28, 64, 65],
+    340: [26, 27, 64, 65],
+    350: [24, 25, 26, 64, 65],
+    360: [23, 24, 25, 64, 65],
+    370: [22, 23, 24, 65],
+    380: [21, 22, 23, 65],
+    390: [20, 21, 22, 65],
+    400: [19, 20, 21, 65],
+    410: [18, 19, 20, 65],
+    420: [17, 18, 19, 65, 66],
+    430: [16, 17, 18, 65, 66],
+    440: [15, 16, 17, 65, 66],
+    450: [14, 15, 16, 65, 66],
+    460: [13, 14, 15, 66],
+    470: [12, 13, 14, 66],
+    480: [11, 12, 13, 66],
+    490: [11, 12, 66],
+    500: [11, 66]
+  },
+  720: {
+    110: [53, 54, 55, 56],
+    120: [51, 52, 53, 54, 55, 56, 57],
+    130: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    140: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    150: [46, 47, 48, 49, 50, 57, 58, 59],
+    160: [45, 46, 47, 48, 58, 59, 60],
+    170: [44, 45, 46, 59, 60],
+    180: [43, 44, 45, 59, 60, 61],
+    190: [42, 43, 44, 60, 61],
+    200: [40, 41, 42, 43, 60, 61],
+    210: [39, 40, 41, 61, 62],
+    220: [38, 39, 40, 61, 62],
+    230: [37, 38, 39, 61, 62],
+    240: [36, 37, 38, 62],
+    250: [35, 36, 37, 62, 63],
+    260: [34, 35, 36, 62, 63],
+    270: [33, 34, 35, 62, 63],
+    280: [32, 33, 34, 63],
+    290: [31, 32, 33, 63],
+    300: [30, 31, 32, 63, 64],
+    310: [29, 30, 31, 63, 64],
+    320: [28, 29, 30, 63, 64],
+    330: [27, 28, 29, 63, 64],
+    340: [26, 27, 28, 64],
+    350: [25, 26, 64],
+    360: [24, 25, 26, 64],
+    370: [23, 24, 64],
+    380: [21, 22, 23, 64, 65],
+    390: [21, 22, 64, 65],
+    400: [19, 20, 21, 64, 65],
+    410: [18, 19, 20, 65],
+    420: [17, 18, 19, 65],
+    430: [16, 17, 18, 65],
+    440: [15, 16, 17, 65],
+    450: [14, 15, 16, 65],
+    460: [13, 14, 15, 65],
+    470: [12, 13, 14, 65, 66],
+    480: [11, 12, 13, 65, 66],
+    490: [11, 12, 65, 66]
+  },
+  730: {
+    120: [52, 53, 54, 55, 56],
+    130: [50, 51, 52, 53, 54, 55, 56, 57],
+    140: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    150: [47, 48, 49, 50, 51, 54, 55, 56, 57, 58, 59],
+    160: [45, 46, 47, 48, 49, 57, 58, 59],
+    170: [44, 45, 46, 47, 58, 59, 60],
+    180: [43, 44, 45, 58, 59, 60],
+    190: [42, 43, 44, 59, 60],
+    200: [41, 42, 43, 59, 60, 61],
+    210: [39, 40, 41, 42, 60, 61],
+    220: [38, 39, 40, 41, 60, 61],
+    230: [37, 38, 39, 61, 62],
+    240: [36, 37, 38, 61, 62],
+    250: [35, 36, 37, 61, 62],
+    260: [34, 35, 36, 61, 62],
+    270: [33, 34, 35, 62],
+    280: [32, 33, 34, 62, 63],
+    290: [31, 32, 33, 62, 63],
+    300: [30, 31, 32, 62, 63],
+    310: [29, 30, 31, 63],
+    320: [28, 29, 30, 63],
+    330: [27, 28, 29, 63],
+    340: [26, 27, 28, 63, 64],
+    350: [25, 26, 27, 63, 64],
+    360: [24, 25, 26, 63, 64],
+    370: [23, 24, 25, 63, 64],
+    380: [22, 23, 24, 64],
+    390: [21, 22, 23, 64],
+    400: [20, 21, 64],
+    410: [19, 20, 21, 64],
+    420: [18, 19, 20, 64, 65],
+    430: [17, 18, 64, 65],
+    440: [16, 17, 64, 65],
+    450: [15, 16, 64, 65],
+    460: [14, 15, 65],
+    470: [13, 14, 65],
+    480: [12, 13, 65],
+    490: [12, 65]
+  },
+  740: {
+    130: [50, 51, 52, 53, 54, 55, 56],
+    140: [49, 50, 51, 52, 53, 54, 55, 56, 57],
+    150: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    160: [46, 47, 48, 49, 50, 55, 56, 57, 58],
+    170: [44, 45, 46, 47, 48, 56, 57, 58, 59],
+    180: [43, 44, 45, 46, 57, 58, 59],
+    190: [42, 43, 44, 58, 59, 60],
+    200: [41, 42, 43, 58, 59, 60],
+    210: [40, 41, 42, 59, 60],
+    220: [39, 40, 41, 59, 60, 61],
+    230: [37, 38, 39, 40, 60, 61],
+    240: [36, 37, 38, 60, 61],
+    250: [35, 36, 37, 60, 61],
+    260: [34, 35, 36, 61, 62],
+    270: [33, 34, 35, 61, 62],
+    280: [32, 33, 34, 61, 62],
+    290: [31, 32, 33, 61, 62],
+    300: [30, 31, 32, 62],
+    310: [29, 30, 31, 62, 63],
+    320: [28, 29, 30, 62, 63],
+    330: [27, 28, 29, 62, 63],
+    340: [26, 27, 28, 62, 63],
+    350: [25, 26, 27, 63],
+    360: [24, 25, 26, 63],
+    370: [23, 24, 25, 63],
+    380: [22, 23, 24, 63, 64],
+    390: [21, 22, 23, 63, 64],
+    400: [20, 21, 22, 63, 64],
+    410: [19, 20, 21, 64],
+    420: [18, 19, 20, 64],
+    430: [17, 18, 19, 64],
+    440: [16, 17, 18, 64],
+    450: [15, 16, 17, 64],
+    460: [14, 15, 16, 64],
+    470: [13, 14, 15, 64, 65],
+    480: [12, 13, 14, 64, 65],
+    490: [12, 13, 64, 65]
+  },
+  750: {
+    130: [52, 53],
+    140: [49, 50, 51, 52, 53, 54, 55],
+    150: [48, 49, 50, 51, 52, 53, 54, 55, 56],
+    160: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    170: [45, 46, 47, 48, 49, 55, 56, 57, 58],
+    180: [43, 44, 45, 46, 47, 56, 57, 58],
+    190: [42, 43, 44, 45, 57, 58, 59],
+    200: [41, 42, 43, 44, 58, 59],
+    210: [40, 41, 42, 58, 59, 60],
+    220: [39, 40, 41, 59, 60],
+    230: [38, 39, 40, 59, 60],
+    240: [37, 38, 39, 59, 60, 61],
+    250: [36, 37, 38, 60, 61],
+    260: [35, 36, 60, 61],
+    270: [33, 34, 35, 60, 61],
+    280: [32, 33, 34, 61],
+    290: [31, 32, 33, 61, 62],
+    300: [30, 31, 32, 61, 62],
+    310: [29, 30, 31, 61, 62],
+    320: [28, 29, 30, 61, 62],
+    330: [27, 28, 29, 62],
+    340: [26, 27, 28, 62, 63],
+    350: [25, 26, 27, 62, 63],
+    360: [24, 25, 26, 62, 63],
+    370: [23, 24, 25, 62, 63],
+    380: [22, 23, 24, 63],
+    390: [21, 22, 23, 63],
+    400: [20, 21, 22, 63],
+    410: [19, 20, 21, 63],
+    420: [18, 19, 20, 63, 64],
+    430: [17, 18, 19, 63, 64],
+    440: [16, 17, 18, 63, 64],
+    450: [15, 16, 17, 63, 64],
+    460: [14, 15, 16, 64],
+    470: [13, 14, 15, 64],
+    480: [13, 14, 64],
+    490: [13, 64]
+  },
+  760: {
+    140: [51, 52, 53],
+    150: [48, 49, 50, 51, 52, 53, 54, 55],
+    160: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    170: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    180: [44, 45, 46, 47, 48, 54, 55, 56, 57, 58],
+    190: [43, 44, 45, 46, 56, 57, 58],
+    200: [41, 42, 43, 44, 57, 58],
+    210: [40, 41, 42, 43, 57, 58, 59],
+    220: [39, 40, 41, 58, 59],
+    230: [38, 39, 40, 58, 59, 60],
+    240: [37, 38, 39, 59, 60],
+    250: [36, 37, 38, 59, 60],
+    260: [35, 36, 37, 59, 60],
+    270: [34, 35, 36, 60, 61],
+    280: [33, 34, 35, 60, 61],
+    290: [32, 33, 34, 60, 61],
+    300: [31, 32, 60, 61],
+    310: [30, 31, 61],
+    320: [29, 30, 61, 62],
+    330: [28, 29, 61, 62],
+    340: [26, 27, 28, 61, 62],
+    350: [26, 27, 61, 62],
+    360: [24, 25, 26, 62],
+    370: [24, 25, 62],
+    380: [23, 24, 62, 63],
+    390: [21, 22, 23, 62, 63],
+    400: [21, 22, 62, 63],
+    410: [20, 21, 62, 63],
+    420: [18, 19, 20, 63],
+    430: [17, 18, 19, 63],
+    440: [17, 18, 63],
+    450: [15, 16, 17, 63],
+    460: [14, 15, 16, 63],
+    470: [14, 15, 63, 64],
+    480: [13, 14, 63, 64],
+    490: [13, 63, 64]
+  },
+  770: {
+    150: [49, 50, 51, 52, 53, 54],
+    160: [47, 48, 49, 50, 51, 52, 53, 54, 55],
+    170: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    180: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    190: [43, 44, 45, 46, 47, 54, 55, 56, 57],
+    200: [42, 43, 44, 45, 55, 56, 57, 58],
+    210: [40, 41, 42, 43, 56, 57, 58],
+    220: [39, 40, 41, 42, 57, 58],
+    230: [38, 39, 40, 41, 57, 58, 59],
+    240: [37, 38, 39, 58, 59],
+    250: [36, 37, 38, 58, 59],
+    260: [35, 36, 37, 59, 60],
+    270: [34, 35, 36, 59, 60],
+    280: [33, 34, 35, 59, 60],
+    290: [32, 33, 34, 59, 60],
+    300: [31, 32, 33, 60, 61],
+    310: [30, 31, 32, 60, 61],
+    320: [29, 30, 31, 60, 61],
+    330: [28, 29, 30, 60, 61],
+    340: [27, 28, 29, 61],
+    350: [26, 27, 28, 61, 62],
+    360: [25, 26, 27, 61, 62],
+    370: [24, 25, 26, 61, 62],
+    380: [23, 24, 25, 61, 62],
+    390: [22, 23, 62],
+    400: [21, 22, 23, 62],
+    410: [20, 21, 22, 62],
+    420: [19, 20, 21, 62, 63],
+    430: [18, 19, 20, 62, 63],
+    440: [17, 18, 19, 62, 63],
+    450: [16, 17, 18, 62, 63],
+    460: [15, 16, 17, 63],
+    470: [14, 15, 16, 63],
+    480: [13, 14, 15, 63],
+    490: [13, 14, 63]
+  },
+  780: {
+    160: [48, 49, 50, 51, 52, 53],
+    170: [47, 48, 49, 50, 51, 52, 53, 54, 55],
+    180: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    190: [43, 44, 45, 46, 47, 48, 52, 53, 54, 55, 56],
+    200: [42, 43, 44, 45, 46, 54, 55, 56, 57],
+    210: [41, 42, 43, 44, 55, 56, 57],
+    220: [40, 41, 42, 56, 57, 58],
+    230: [39, 40, 41, 56, 57, 58],
+    240: [37, 38, 39, 40, 57, 58],
+    250: [36, 37, 38, 39, 57, 58, 59],
+    260: [35, 36, 37, 58, 59],
+    270: [34, 35, 36, 58, 59],
+    280: [33, 34, 35, 59, 60],
+    290: [32, 33, 34, 59, 60],
+    300: [31, 32, 33, 59, 60],
+    310: [30, 31, 32, 59, 60],
+    320: [29, 30, 31, 60],
+    330: [28, 29, 30, 60, 61],
+    340: [27, 28, 29, 60, 61],
+    350: [26, 27, 28, 60, 61],
+    360: [25, 26, 27, 60, 61],
+    370: [24, 25, 26, 61],
+    380: [23, 24, 25, 61],
+    390: [22, 23, 24, 61, 62],
+    400: [21, 22, 23, 61, 62],
+    410: [20, 21, 22, 61, 62],
+    420: [19, 20, 21, 62],
+    430: [18, 19, 20, 62],
+    440: [17, 18, 19, 62],
+    450: [16, 17, 18, 62],
+    460: [15, 16, 17, 62],
+    470: [14, 15, 16, 62, 63],
+    480: [14, 15, 62, 63],
+    490: [14, 62, 63]
+  },
+  790: {
+    170: [47, 48, 49, 50, 51, 52, 53],
+    180: [46, 47, 48, 49, 50, 51, 52, 53, 54],
+    190: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    200: [43, 44, 45, 46, 47, 52, 53, 54, 55, 56],
+    210: [41, 42, 43, 44, 45, 54, 55, 56],
+    220: [40, 41, 42, 43, 55, 56, 57],
+    230: [39, 40, 41, 42, 55, 56, 57],
+    240: [38, 39, 40, 56, 57, 58],
+    250: [37, 38, 39, 57, 58],
+    260: [36, 37, 38, 57, 58],
+    270: [35, 36, 37, 57, 58, 59],
+    280: [33, 34, 35, 36, 58, 59],
+    290: [32, 33, 34, 58, 59],
+    300: [31, 32, 33, 58, 59],
+    310: [30, 31, 32, 59, 60],
+    320: [29, 30, 31, 59, 60],
+    330: [28, 29, 30, 59, 60],
+    340: [27, 28, 29, 59, 60],
+    350: [26, 27, 28, 60],
+    360: [25, 26, 27, 60, 61],
+    370: [24, 25, 26, 60, 61],
+    380: [23, 24, 25, 60, 61],
+    390: [22, 23, 24, 60, 61],
+    400: [21, 22, 23, 61],
+    410: [20, 21, 22, 61],
+    420: [19, 20, 21, 61],
+    430: [18, 19, 20, 61, 62],
+    440: [17, 18, 19, 61, 62],
+    450: [17, 18, 61, 62],
+    460: [16, 17, 61, 62],
+    470: [15, 16, 62],
+    480: [14, 15, 62],
+    490: [14, 62],
+    500: [14]
+  },
+  800: {
+    170: [50],
+    180: [46, 47, 48, 49, 50, 51, 52, 53],
+    190: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    200: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    210: [42, 43, 44, 45, 46, 52, 53, 54, 55],
+    220: [40, 41, 42, 43, 44, 53, 54, 55, 56],
+    230: [39, 40, 41, 42, 54, 55, 56],
+    240: [38, 39, 40, 41, 55, 56, 57],
+    250: [37, 38, 39, 56, 57],
+    260: [36, 37, 38, 56, 57, 58],
+    270: [35, 36, 37, 57, 58],
+    280: [34, 35, 36, 57, 58],
+    290: [33, 34, 35, 57, 58],
+    300: [32, 33, 34, 58, 59],
+    310: [31, 32, 33, 58, 59],
+    320: [30, 31, 32, 58, 59],
+    330: [29, 30, 31, 59],
+    340: [28, 29, 59, 60],
+    350: [27, 28, 59, 60],
+    360: [26, 27, 59, 60],
+    370: [25, 26, 59, 60],
+    380: [24, 25, 60],
+    390: [23, 24, 60],
+    400: [22, 23, 24, 60, 61],
+    410: [21, 22, 60, 61],
+    420: [20, 21, 22, 60, 61],
+    430: [19, 20, 21, 61],
+    440: [18, 19, 61],
+    450: [17, 18, 19, 61],
+    460: [16, 17, 18, 61],
+    470: [15, 16, 17, 61, 62],
+    480: [14, 15, 16, 61, 62],
+    490: [14, 15, 61, 62],
+    500: [14]
+  },
+  810: {
+    180: [48, 49, 50, 51],
+    190: [46, 47, 48, 49, 50, 51, 52],
+    200: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    210: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    220: [41, 42, 43, 44, 45, 52, 53, 54, 55],
+    230: [40, 41, 42, 43, 53, 54, 55, 56],
+    240: [39, 40, 41, 42, 54, 55, 56],
+    250: [37, 38, 39, 40, 55, 56],
+    260: [36, 37, 38, 39, 55, 56, 57],
+    270: [35, 36, 37, 38, 56, 57],
+    280: [34, 35, 36, 56, 57],
+    290: [33, 34, 35, 57, 58],
+    300: [32, 33, 34, 57, 58],
+    310: [31, 32, 33, 57, 58],
+    320: [30, 31, 32, 58, 59],
+    330: [29, 30, 31, 58, 59],
+    340: [28, 29, 30, 58, 59],
+    350: [27, 28, 29, 58, 59],
+    360: [26, 27, 28, 59],
+    370: [25, 26, 27, 59, 60],
+    380: [24, 25, 26, 59, 60],
+    390: [23, 24, 25, 59, 60],
+    400: [22, 23, 24, 59, 60],
+    410: [21, 22, 23, 60],
+    420: [20, 21, 22, 60],
+    430: [19, 20, 21, 60, 61],
+    440: [18, 19, 20, 60, 61],
+    450: [17, 18, 19, 60, 61],
+    460: [16, 17, 18, 60, 61],
+    470: [15, 16, 17, 61],
+    480: [15, 16, 61],
+    490: [15, 61]
+  },
+  820: {
+    190: [47, 48, 49, 50, 51],
+    200: [45, 46, 47, 48, 49, 50, 51, 52],
+    210: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    220: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    230: [40, 41, 42, 43, 44, 51, 52, 53, 54, 55],
+    240: [39, 40, 41, 42, 53, 54, 55],
+    250: [38, 39, 40, 41, 54, 55, 56],
+    260: [37, 38, 39, 54, 55, 56],
+    270: [36, 37, 38, 55, 56],
+    280: [34, 35, 36, 37, 55, 56, 57],
+    290: [33, 34, 35, 36, 56, 57],
+    300: [32, 33, 34, 56, 57],
+    310: [31, 32, 33, 56, 57, 58],
+    320: [30, 31, 32, 57, 58],
+    330: [29, 30, 31, 57, 58],
+    340: [28, 29, 30, 57, 58],
+    350: [27, 28, 29, 58, 59],
+    360: [26, 27, 28, 58, 59],
+    370: [25, 26, 27, 58, 59],
+    380: [24, 25, 26, 58, 59],
+    390: [23, 24, 25, 59],
+    400: [22, 23, 24, 59],
+    410: [21, 22, 23, 59, 60],
+    420: [20, 21, 22, 59, 60],
+    430: [19, 20, 21, 59, 60],
+    440: [19, 20, 60],
+    450: [18, 19, 60],
+    460: [17, 18, 60],
+    470: [16, 17, 60, 61],
+    480: [15, 16, 17, 60, 61],
+    490: [15, 16, 60]
+  },
+  830: {
+    200: [46, 47, 48, 49, 50],
+    210: [44, 45, 46, 47, 48, 49, 50, 51, 52],
+    220: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    230: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    240: [40, 41, 42, 43, 44, 51, 52, 53, 54],
+    250: [38, 39, 40, 41, 42, 52, 53, 54, 55],
+    260: [37, 38, 39, 40, 53, 54, 55],
+    270: [36, 37, 38, 39, 54, 55, 56],
+    280: [35, 36, 37, 54, 55, 56],
+    290: [34, 35, 36, 55, 56],
+    300: [33, 34, 35, 55, 56, 57],
+    310: [32, 33, 34, 56, 57],
+    320: [31, 32, 33, 56, 57],
+    330: [30, 31, 32, 56, 57],
+    340: [29, 30, 31, 57, 58],
+    350: [28, 29, 30, 57, 58],
+    360: [27, 28, 57, 58],
+    370: [26, 27, 28, 58],
+    380: [25, 26, 58, 59],
+    390: [24, 25, 26, 58, 59],
+    400: [23, 24, 25, 58, 59],
+    410: [22, 23, 24, 58, 59],
+    420: [21, 22, 23, 59],
+    430: [20, 21, 22, 59],
+    440: [19, 20, 21, 59, 60],
+    450: [18, 19, 20, 59, 60],
+    460: [17, 18, 19, 59, 60],
+    470: [16, 17, 18, 59, 60],
+    480: [16, 17, 60],
+    490: [15, 16, 60]
+  },
+  840: {
+    210: [46, 47, 48, 49, 50],
+    220: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    230: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    240: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    250: [39, 40, 41, 42, 43, 51, 52, 53, 54],
+    260: [38, 39, 40, 41, 52, 53, 54],
+    270: [36, 37, 38, 39, 53, 54, 55],
+    280: [35, 36, 37, 38, 53, 54, 55],
+    290: [34, 35, 36, 37, 54, 55, 56],
+    300: [33, 34, 35, 54, 55, 56],
+    310: [32, 33, 34, 55, 56],
+    320: [31, 32, 33, 55, 56],
+    330: [30, 31, 32, 56, 57],
+    340: [29, 30, 31, 56, 57],
+    350: [28, 29, 30, 56, 57],
+    360: [27, 28, 29, 57],
+    370: [26, 27, 28, 57, 58],
+    380: [25, 26, 27, 57, 58],
+    390: [24, 25, 26, 57, 58],
+    400: [23, 24, 25, 58],
+    410: [22, 23, 24, 58, 59],
+    420: [21, 22, 23, 58, 59],
+    430: [20, 21, 22, 58, 59],
+    440: [19, 20, 21, 58, 59],
+    450: [18, 19, 20, 58, 59],
+    460: [17, 18, 19, 59],
+    470: [17, 18, 59],
+    480: [16, 17, 59, 60],
+    490: [16, 59]
+  },
+  850: {
+    220: [45, 46, 47, 48, 49, 50],
+    230: [43, 44, 45, 46, 47, 48, 49, 50, 51],
+    240: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    250: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    260: [38, 39, 40, 41, 42, 50, 51, 52, 53],
+    270: [37, 38, 39, 40, 51, 52, 53, 54],
+    280: [36, 37, 38, 39, 52, 53, 54],
+    290: [35, 36, 37, 53, 54, 55],
+    300: [34, 35, 36, 53, 54, 55],
+    310: [32, 33, 34, 35, 54, 55],
+    320: [31, 32, 33, 34, 54, 55, 56],
+    330: [30, 31, 32, 33, 55, 56],
+    340: [29, 30, 31, 55, 56],
+    350: [28, 29, 30, 55, 56, 57],
+    360: [27, 28, 29, 56, 57],
+    370: [26, 27, 28, 56, 57],
+    380: [25, 26, 27, 56, 57],
+    390: [24, 25, 26, 57, 58],
+    400: [23, 24, 25, 57, 58],
+    410: [23, 24, 57, 58],
+    420: [22, 23, 57, 58],
+    430: [21, 22, 58],
+    440: [20, 21, 58],
+    450: [19, 20, 21, 58, 59],
+    460: [18, 19, 20, 58, 59],
+    470: [17, 18, 19, 58, 59],
+    480: [16, 17, 18, 58, 59],
+    490: [16, 17, 59]
+  },
+  860: {
+    230: [44, 45, 46, 47, 48, 49],
+    240: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    250: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    260: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    270: [38, 39, 40, 41, 42, 50, 51, 52, 53],
+    280: [36, 37, 38, 39, 40, 51, 52, 53],
+    290: [35, 36, 37, 38, 52, 53, 54],
+    300: [34, 35, 36, 37, 52, 53, 54],
+    310: [33, 34, 35, 53, 54, 55],
+    320: [32, 33, 34, 53, 54, 55],
+    330: [31, 32, 33, 54, 55],
+    340: [30, 31, 32, 54, 55, 56],
+    350: [29, 30, 31, 55, 56],
+    360: [28, 29, 30, 55, 56],
+    370: [27, 28, 29, 55, 56],
+    380: [26, 27, 28, 56, 57],
+    390: [25, 26, 27, 56, 57],
+    400: [24, 25, 26, 56, 57],
+    410: [23, 24, 25, 56, 57],
+    420: [22, 23, 24, 57, 58],
+    430: [21, 22, 23, 57, 58],
+    440: [20, 21, 22, 57, 58],
+    450: [19, 20, 21, 57, 58],
+    460: [18, 19, 20, 57, 58],
+    470: [17, 18, 19, 58],
+    480: [17, 18, 58],
+    490: [17, 58]
+  },
+  870: {
+    240: [43, 44, 45, 46, 47, 48, 49],
+    250: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    260: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    270: [38, 39, 40, 41, 42, 43, 44, 47, 48, 49, 50, 51, 52],
+    280: [37, 38, 39, 40, 41, 49, 50, 51, 52, 53],
+    290: [36, 37, 38, 39, 50, 51, 52, 53],
+    300: [35, 36, 37, 38, 51, 52, 53],
+    310: [33, 34, 35, 36, 52, 53, 54],
+    320: [32, 33, 34, 35, 53, 54],
+    330: [31, 32, 33, 34, 53, 54, 55],
+    340: [30, 31, 32, 33, 53, 54, 55],
+    350: [29, 30, 31, 54, 55],
+    360: [28, 29, 30, 54, 55, 56],
+    370: [27, 28, 29, 55, 56],
+    380: [26, 27, 28, 55, 56],
+    390: [25, 26, 27, 55, 56],
+    400: [24, 25, 26, 55, 56],
+    410: [23, 24, 25, 56, 57],
+    420: [22, 23, 24, 56, 57],
+    430: [21, 22, 23, 56, 57],
+    440: [21, 22, 56, 57],
+    450: [20, 21, 57],
+    460: [19, 20, 57, 58],
+    470: [18, 19, 57, 58],
+    480: [17, 18, 19, 57, 58],
+    490: [17, 18, 57, 58]
+  },
+  880: {
+    250: [43, 44, 45, 46, 47, 48, 49],
+    260: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    270: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    280: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    290: [36, 37, 38, 39, 40, 49, 50, 51, 52],
+    300: [35, 36, 37, 38, 39, 50, 51, 52, 53],
+    310: [34, 35, 36, 37, 51, 52, 53],
+    320: [33, 34, 35, 36, 51, 52, 53],
+    330: [32, 33, 34, 52, 53, 54],
+    340: [31, 32, 33, 53, 54],
+    350: [30, 31, 32, 53, 54, 55],
+    360: [29, 30, 31, 53, 54, 55],
+    370: [28, 29, 30, 54, 55],
+    380: [27, 28, 29, 54, 55],
+    390: [26, 27, 28, 55, 56],
+    400: [25, 26, 27, 55, 56],
+    410: [24, 25, 26, 55, 56],
+    420: [23, 24, 25, 55, 56],
+    430: [22, 23, 24, 56],
+    440: [21, 22, 23, 56, 57],
+    450: [20, 21, 22, 56, 57],
+    460: [19, 20, 21, 56, 57],
+    470: [18, 19, 20, 56, 57],
+    480: [18, 19, 57],
+    490: [18, 57]
+  },
+  890: {
+    260: [42, 43, 44, 45, 46, 47, 48],
+    270: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    280: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    290: [37, 38, 39, 40, 41, 42, 43, 46, 47, 48, 49, 50, 51],
+    300: [36, 37, 38, 39, 40, 48, 49, 50, 51, 52],
+    310: [35, 36, 37, 38, 49, 50, 51, 52],
+    320: [33, 34, 35, 36, 50, 51, 52, 53],
+    330: [32, 33, 34, 35, 51, 52, 53],
+    340: [31, 32, 33, 34, 52, 53],
+    350: [30, 31, 32, 33, 52, 53, 54],
+    360: [29, 30, 31, 53, 54],
+    370: [28, 29, 30, 53, 54],
+    380: [27, 28, 29, 53, 54, 55],
+    390: [26, 27, 28, 54, 55],
+    400: [25, 26, 27, 54, 55],
+    410: [24, 25, 26, 54, 55],
+    420: [23, 24, 25, 55, 56],
+    430: [22, 23, 24, 55, 56],
+    440: [21, 22, 23, 55, 56],
+    450: [20, 21, 22, 55, 56],
+    460: [20, 21, 56],
+    470: [19, 20, 56, 57],
+    480: [18, 19, 20, 56, 57],
+    490: [18, 19, 56, 57],
+    500: [18]
+  },
+  900: {
+    270: [42, 43, 44, 45, 46, 47, 48],
+    280: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    290: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    300: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    310: [35, 36, 37, 38, 39, 40, 48, 49, 50, 51],
+    320: [34, 35, 36, 37, 38, 49, 50, 51, 52],
+    330: [33, 34, 35, 36, 50, 51, 52],
+    340: [32, 33, 34, 35, 51, 52, 53],
+    350: [31, 32, 33, 51, 52, 53],
+    360: [30, 31, 32, 52, 53],
+    370: [29, 30, 31, 52, 53, 54],
+    380: [28, 29, 30, 52, 53, 54],
+    390: [27, 28, 29, 53, 54],
+    400: [26, 27, 28, 53, 54],
+    410: [25, 26, 27, 54, 55],
+    420: [24, 25, 26, 54, 55],
+    430: [23, 24, 25, 54, 55],
+    440: [22, 23, 24, 54, 55],
+    450: [21, 22, 23, 55, 56],
+    460: [20, 21, 22, 55, 56],
+    470: [19, 20, 21, 55, 56],
+    480: [18, 19, 20, 55, 56],
+    490: [18, 19, 56]
+  },
+  910: {
+    280: [41, 42, 43, 44, 45, 46, 47],
+    290: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    300: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    310: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    320: [35, 36, 37, 38, 39, 47, 48, 49, 50, 51],
+    330: [34, 35, 36, 37, 48, 49, 50, 51],
+    340: [32, 33, 34, 35, 36, 49, 50, 51, 52],
+    350: [31, 32, 33, 34, 50, 51, 52],
+    360: [30, 31, 32, 33, 51, 52],
+    370: [29, 30, 31, 32, 51, 52, 53],
+    380: [28, 29, 30, 52, 53],
+    390: [27, 28, 29, 52, 53],
+    400: [26, 27, 28, 52, 53, 54],
+    410: [25, 26, 27, 53, 54],
+    420: [24, 25, 26, 53, 54],
+    430: [23, 24, 25, 53, 54],
+    440: [22, 23, 24, 54, 55],
+    450: [22, 23, 54, 55],
+    460: [20, 21, 22, 54, 55],
+    470: [20, 21, 54, 55],
+    480: [19, 20, 55, 56],
+    490: [19, 20, 55, 56]
+  },
+  920: {
+    290: [41, 42, 43, 44, 45, 46],
+    300: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    310: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    320: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    330: [34, 35, 36, 37, 38, 39, 46, 47, 48, 49, 50],
+    340: [33, 34, 35, 36, 37, 48, 49, 50, 51],
+    350: [32, 33, 34, 35, 49, 50, 51],
+    360: [31, 32, 33, 34, 50, 51, 52],
+    370: [30, 31, 32, 50, 51, 52],
+    380: [29, 30, 31, 51, 52],
+    390: [28, 29, 30, 51, 52, 53],
+    400: [27, 28, 29, 52, 53],
+    410: [26, 27, 28, 52, 53],
+    420: [25, 26, 27, 52, 53, 54],
+    430: [24, 25, 26, 53, 54],
+    440: [23, 24, 25, 53, 54],
+    450: [22, 23, 24, 53, 54],
+    460: [21, 22, 23, 53, 54, 55],
+    470: [20, 21, 22, 54, 55],
+    480: [19, 20, 21, 54, 55],
+    490: [19, 20, 55]
+  },
+  930: {
+    300: [40, 41, 42, 43, 44, 45, 46],
+    310: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    320: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    330: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    340: [34, 35, 36, 37, 38, 46, 47, 48, 49, 50],
+    350: [33, 34, 35, 36, 47, 48, 49, 50],
+    360: [31, 32, 33, 34, 35, 48, 49, 50, 51],
+    370: [30, 31, 32, 33, 49, 50, 51],
+    380: [29, 30, 31, 32, 50, 51, 52],
+    390: [28, 29, 30, 31, 50, 51, 52],
+    400: [27, 28, 29, 30, 51, 52],
+    410: [26, 27, 28, 29, 51, 52, 53],
+    420: [25, 26, 27, 28, 52, 53],
+    430: [24, 25, 26, 52, 53],
+    440: [23, 24, 25, 52, 53],
+    450: [22, 23, 24, 52, 53, 54],
+    460: [22, 23, 53, 54],
+    470: [21, 22, 53, 54],
+    480: [20, 21, 22, 53, 54],
+    490: [20, 21, 54]
+  },
+  940: {
+    310: [40, 41, 42, 43, 44, 45],
+    320: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    330: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    340: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    350: [33, 34, 35, 36, 37, 38, 45, 46, 47, 48, 49],
+    360: [32, 33, 34, 35, 36, 47, 48, 49, 50],
+    370: [31, 32, 33, 34, 48, 49, 50],
+    380: [30, 31, 32, 33, 48, 49, 50, 51],
+    390: [29, 30, 31, 32, 49, 50, 51],
+    400: [28, 29, 30, 50, 51],
+    410: [27, 28, 29, 50, 51, 52],
+    420: [26, 27, 28, 51, 52],
+    430: [25, 26, 27, 51, 52],
+    440: [24, 25, 26, 51, 52, 53],
+    450: [23, 24, 25, 52, 53],
+    460: [22, 23, 24, 52, 53],
+    470: [21, 22, 23, 52, 53],
+    480: [21, 22, 53],
+    490: [21, 53]
+  },
+  950: {
+    320: [40, 41, 42, 43, 44, 45],
+    330: [38, 39, 40, 41, 42, 43, 44, 45, 46],
+    340: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    350: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    360: [33, 34, 35, 36, 37, 38, 44, 45, 46, 47, 48, 49],
+    370: [32, 33, 34, 35, 36, 46, 47, 48, 49],
+    380: [31, 32, 33, 34, 47, 48, 49, 50],
+    390: [30, 31, 32, 33, 48, 49, 50],
+    400: [29, 30, 31, 48, 49, 50],
+    410: [27, 28, 29, 30, 49, 50, 51],
+    420: [26, 27, 28, 29, 50, 51],
+    430: [26, 27, 28, 50, 51, 52],
+    440: [25, 26, 27, 50, 51, 52],
+    450: [24, 25, 26, 51, 52],
+    460: [23, 24, 25, 51, 52],
+    470: [22, 23, 24, 51, 52, 53],
+    480: [21, 22, 23, 52, 53],
+    490: [21, 22, 52, 53]
+  },
+  960: {
+    330: [39, 40, 41, 42, 43, 44],
+    340: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    350: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    360: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    370: [33, 34, 35, 36, 37, 38, 44, 45, 46, 47, 48],
+    380: [31, 32, 33, 34, 35, 36, 45, 46, 47, 48, 49],
+    390: [30, 31, 32, 33, 34, 46, 47, 48, 49],
+    400: [29, 30, 31, 32, 47, 48, 49, 50],
+    410: [28, 29, 30, 31, 48, 49, 50],
+    420: [27, 28, 29, 30, 48, 49, 50],
+    430: [26, 27, 28, 29, 49, 50, 51],
+    440: [25, 26, 27, 28, 50, 51],
+    450: [24, 25, 26, 50, 51],
+    460: [23, 24, 25, 50, 51, 52],
+    470: [22, 23, 24, 51, 52],
+    480: [22, 23, 51, 52],
+    490: [22, 51, 52]
+  },
+  970: {
+    340: [39, 40, 41, 42, 43],
+    350: [37, 38, 39, 40, 41, 42, 43, 44, 45],
+    360: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    370: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    380: [32, 33, 34, 35, 36, 37, 38, 42, 43, 44, 45, 46, 47, 48],
+    390: [31, 32, 33, 34, 35, 45, 46, 47, 48],
+    400: [30, 31, 32, 33, 46, 47, 48, 49],
+    410: [29, 30, 31, 32, 47, 48, 49],
+    420: [28, 29, 30, 31, 47, 48, 49, 50],
+    430: [27, 28, 29, 30, 48, 49, 50],
+    440: [26, 27, 28, 48, 49, 50],
+    450: [25, 26, 27, 49, 50, 51],
+    460: [24, 25, 26, 49, 50, 51],
+    470: [23, 24, 25, 50, 51],
+    480: [22, 23, 24, 50, 51],
+    490: [23, 51],
+    500: [51]
+  },
+  980: {
+    350: [40, 41, 42],
+    360: [37, 38, 39, 40, 41, 42, 43, 44],
+    370: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    390: [32, 33, 34, 35, 36, 37, 38, 41, 42, 43, 44, 45, 46, 47],
+    400: [31, 32, 33, 34, 35, 44, 45, 46, 47, 48],
+    410: [30, 31, 32, 33, 45, 46, 47, 48],
+    420: [29, 30, 31, 32, 46, 47, 48, 49],
+    430: [27, 28, 29, 30, 47, 48, 49],
+    440: [26, 27, 28, 29, 47, 48, 49],
+    450: [25, 26, 27, 28, 48, 49, 50],
+    460: [24, 25, 26, 27, 48, 49, 50],
+    470: [23, 24, 25, 26, 49, 50],
+    480: [23, 24, 25, 49, 50, 51],
+    490: [23, 24, 50, 51]
+  },
+  990: {
+    360: [40],
+    370: [37, 38, 39, 40, 41, 42, 43, 44],
+    380: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    390: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    400: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    410: [31, 32, 33, 34, 35, 43, 44, 45, 46, 47],
+    420: [29, 30, 31, 32, 33, 44, 45, 46, 47, 48],
+    430: [28, 29, 30, 31, 32, 46, 47, 48],
+    440: [27, 28, 29, 30, 46, 47, 48],
+    450: [26, 27, 28, 29, 47, 48, 49],
+    460: [25, 26, 27, 28, 47, 48, 49],
+    470: [24, 25, 26, 27, 48, 49, 50],
+    480: [24, 25, 26, 48, 49, 50],
+    490: [24, 25, 49],
+    500: [24]
+  },
+  1000: {
+    380: [37, 38, 39, 40, 41, 42, 43],
+    390: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    400: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    410: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    420: [30, 31, 32, 33, 34, 35, 42, 43, 44, 45, 46],
+    430: [29, 30, 31, 32, 33, 44, 45, 46, 47],
+    440: [28, 29, 30, 31, 32, 45, 46, 47, 48],
+    450: [27, 28, 29, 30, 46, 47, 48],
+    460: [26, 27, 28, 29, 46, 47, 48],
+    470: [25, 26, 27, 28, 47, 48, 49],
+    480: [24, 25, 26, 47, 48, 49],
+    490: [24, 25, 48, 49],
+    500: [24]
+  },
+  1010: {
+    390: [36, 37, 38, 39, 40, 41, 42],
+    400: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    420: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    430: [30, 31, 32, 33, 34, 35, 41, 42, 43, 44, 45, 46],
+    440: [29, 30, 31, 32, 33, 43, 44, 45, 46],
+    450: [28, 29, 30, 31, 44, 45, 46, 47],
+    460: [27, 28, 29, 30, 45, 46, 47],
+    470: [26, 27, 28, 29, 46, 47, 48],
+    480: [25, 26, 27, 46, 47, 48],
+    490: [25, 26, 47, 48],
+    500: [25, 48]
+  },
+  1020: {
+    400: [37, 38, 39, 40, 41],
+    410: [35, 36, 37, 38, 39, 40, 41, 42, 43],
+    420: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    440: [30, 31, 32, 33, 34, 35, 36, 40, 41, 42, 43, 44, 45],
+    450: [29, 30, 31, 32, 33, 42, 43, 44, 45, 46],
+    460: [28, 29, 30, 31, 43, 44, 45, 46],
+    470: [26, 27, 28, 29, 30, 44, 45, 46, 47],
+    480: [26, 27, 28, 29, 45, 46, 47],
+    490: [25, 26, 27, 46, 47],
+    500: [26]
+  },
+  1030: {
+    410: [37, 38, 39],
+    420: [34, 35, 36, 37, 38, 39, 40, 41, 42],
+    430: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    440: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    450: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    460: [28, 29, 30, 31, 32, 33, 41, 42, 43, 44, 45],
+    470: [27, 28, 29, 30, 31, 43, 44, 45, 46],
+    480: [26, 27, 28, 29, 30, 44, 45, 46],
+    490: [26, 27, 28, 44, 45, 46],
+    500: [27]
+  },
+  1040: {
+    430: [34, 35, 36, 37, 38, 39, 40, 41],
+    440: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    450: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    460: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    470: [28, 29, 30, 31, 32, 33, 34, 40, 41, 42, 43, 44, 45],
+    480: [27, 28, 29, 30, 31, 32, 42, 43, 44, 45],
+    490: [27, 28, 29, 30, 43, 44, 45],
+    500: [28]
+  },
+  1050: {
+    440: [35, 36, 37, 38, 39, 40],
+    450: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    460: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    470: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    480: [28, 29, 30, 31, 32, 33, 34, 38, 39, 40, 41, 42, 43, 44],
+    490: [28, 29, 30, 31, 32, 41, 42, 43, 44],
+    500: [29, 30]
+  },
+  1060: {
+    450: [35, 36, 37, 38, 39],
+    460: [33, 34, 35, 36, 37, 38, 39, 40],
+    470: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    480: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    490: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    500: [30, 31]
+  },
+  1070: {
+    460: [36, 37],
+    470: [33, 34, 35, 36, 37, 38, 39, 40],
+    480: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
+    490: [31, 33, 34, 35, 36, 37, 38, 39],
+    500: [36]
+  },
+  1080: {
+    480: [34, 35, 36, 37, 38, 39],
+    490: [35, 36, 39]
+  }
+};
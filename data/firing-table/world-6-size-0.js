@@ -0,0 +1,4460 @@
+// Firing Table Data for World 6
+// Cannonball size level 0 (radius 8.0px)
+// Generated on 2026-10-19T18:31:50.713Z
+export default {
+  0: {
+    0: [100, 101],
+    10: [95, 101],
+    20: [95, 101, 102],
+    30: [95, 101, 102],
+    40: [95, 102],
+    50: [95, 102, 103],
+    60: [95, 102, 103],
+    70: [95, 103, 104],
+    80: [95, 103, 104],
+    90: [95, 104, 105],
+    100: [95, 104, 105],
+    110: [95, 104, 105, 106],
+    120: [95, 106],
+    130: [95, 105, 106, 107],
+    140: [95, 106, 107, 108],
+    150: [95, 107, 108],
+    160: [95, 108, 109],
+    170: [95, 108, 109, 110],
+    180: [95, 109, 110],
+    190: [109, 110, 111],
+    200: [111, 112],
+    210: [111, 112, 113],
+    230: [112, 113, 114, 115],
+    240: [114, 115],
+    250: [115, 116, 117],
+    260: [115, 116, 117, 118],
+    280: [118, 119, 120, 121],
+    290: [119, 120, 121, 122],
+    300: [122, 123],
+    310: [122, 123, 124, 125, 126],
+    320: [124, 125, 126, 127],
+    330: [94],
+    340: [127, 128, 129, 130, 131, 132],
+    350: [94, 130, 131, 132, 133, 134],
+    370: [94, 135, 136, 137, 138, 139],
+    380: [137, 138, 139, 140, 141, 142, 143],
+    390: [94, 140, 141, 142, 143, 144, 145],
+    410: [94],
+    420: [94, 151, 152, 153, 154, 155, 156, 157],
+    430: [94, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    440: [94, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [94, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [94, 168, 169, 170, 171, 172, 173, 174],
+    470: [173, 174, 175, 176, 177, 178],
+    480: [94, 178, 179, 180, 181, 182, 183],
+    490: [94, 183, 184, 185]
+  },
+  10: {
+    0: [95, 99, 100],
+    10: [95, 100],
+    20: [95, 100, 101],
+    30: [95, 100, 101],
+    40: [95, 101, 102],
+    50: [95, 101, 102],
+    60: [95, 101, 102],
+    70: [102, 103],
+    80: [95, 102, 103],
+    90: [102, 103, 104],
+    100: [103, 104],
+    110: [103, 104, 105],
+    120: [104, 105],
+    130: [104, 105, 106],
+    140: [105, 106],
+    150: [94, 105, 106, 107],
+    160: [94, 106, 107, 108],
+    170: [107, 108],
+    180: [94, 107, 108, 109],
+    190: [94, 108, 109],
+    200: [94, 109, 110, 111],
+    210: [94, 109, 110, 111],
+    220: [94, 110, 111, 112],
+    230: [94, 110, 111, 112, 113],
+    240: [94],
+    250: [94, 112, 113, 114, 115],
+    260: [94, 114, 115, 116],
+    270: [94, 115, 116, 117],
+    280: [94, 115, 116, 117, 118, 119],
+    290: [94],
+    300: [94, 118, 119, 120, 121, 122],
+    310: [94, 120, 121, 122, 123, 124],
+    320: [94],
+    330: [94, 123, 124, 125, 126, 127, 128],
+    340: [94, 125, 126, 127, 128, 129, 130],
+    350: [94],
+    360: [94, 130, 131, 132, 133, 134],
+    370: [94, 131, 132, 133, 134, 135, 136, 137, 138],
+    380: [135, 136, 137, 138, 139],
+    390: [94],
+    400: [142, 143, 144, 145, 146, 147],
+    410: [94, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    420: [94, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    430: [94, 154, 155, 156, 157, 158],
+    440: [94],
+    460: [94],
+    480: [94]
+  },
+  20: {
+    0: [95, 98, 99],
+    10: [99, 100],
+    20: [99, 100],
+    30: [94, 99, 100],
+    40: [94, 100, 101],
+    50: [94, 100, 101],
+    60: [94, 100, 101],
+    70: [94, 101, 102],
+    80: [94, 101, 102],
+    90: [94, 101, 102, 103],
+    100: [94, 102, 103],
+    110: [94, 102, 103],
+    120: [94, 103, 104],
+    130: [94, 103, 104],
+    140: [94, 103, 104, 105],
+    150: [94, 104, 105],
+    160: [94, 104, 105, 106],
+    170: [94, 106],
+    180: [94, 105, 106, 107, 108],
+    190: [94, 107],
+    200: [94, 107, 108, 109],
+    210: [94, 108, 109],
+    220: [94, 108, 109, 110, 111],
+    230: [94, 109, 110, 111],
+    240: [110, 111, 112],
+    250: [94, 110, 111, 112, 113, 114],
+    270: [94, 112, 113, 114, 115, 116],
+    280: [114, 115, 116],
+    290: [94, 116, 117, 118],
+    300: [116, 117, 118, 119, 120],
+    310: [119, 120],
+    320: [120, 121, 122, 123],
+    330: [120, 121, 122, 123, 124, 125],
+    340: [124, 125],
+    350: [126, 127, 128, 129],
+    360: [126, 127, 128, 129, 130, 131, 132, 133],
+    370: [130, 131, 132, 133, 134],
+    390: [135, 136, 137, 138, 139, 140, 141],
+    400: [138, 139, 140, 141, 142, 143, 144, 145, 146],
+    410: [143, 144, 145, 146, 147, 148],
+    440: [157, 158, 159, 160, 161, 162, 163],
+    450: [160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    460: [165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    480: [177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    490: [182, 183, 184, 185, 186, 187, 188],
+    500: [188]
+  },
+  30: {
+    0: [94, 98],
+    10: [94, 98, 99],
+    20: [94, 98, 99],
+    30: [94, 98, 99],
+    40: [94, 99, 100],
+    50: [94, 99, 100],
+    60: [94, 99, 100],
+    70: [94, 100, 101],
+    80: [94, 100, 101],
+    90: [94, 100, 101],
+    100: [94, 101, 102],
+    110: [101, 102],
+    120: [94, 101, 102, 103],
+    130: [102, 103],
+    140: [102, 103, 104],
+    150: [103, 104],
+    160: [103, 104, 105],
+    170: [104, 105],
+    180: [104, 105, 106],
+    190: [105, 106],
+    200: [105, 106, 107],
+    220: [106, 107, 108, 109],
+    230: [108, 109],
+    240: [108, 109, 110, 111],
+    250: [93, 109, 110, 111],
+    260: [110, 111, 112],
+    270: [93, 110, 111, 112, 113, 114],
+    280: [93],
+    290: [93, 112, 113, 114, 115, 116],
+    300: [93, 114, 115, 116, 117],
+    310: [93],
+    320: [93, 116, 117, 118, 119, 120, 121],
+    330: [93, 118, 119, 120, 121, 122],
+    340: [93],
+    350: [93, 121, 122, 123, 124, 125, 126, 127],
+    360: [93, 124, 125, 126, 127, 128, 129],
+    370: [93],
+    380: [93, 129, 130, 131, 132, 133, 134, 135],
+    390: [93, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    400: [137, 138, 139, 140, 141],
+    410: [93],
+    420: [144, 145, 146, 147, 148, 149, 150, 151],
+    430: [93, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    440: [93, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [93, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    460: [93, 166, 167, 168, 169, 170, 171, 172, 173],
+    470: [93, 173, 174, 175, 176, 177, 178],
+    480: [93, 180, 181, 182, 183, 184],
+    490: [185, 186, 187, 188]
+  },
+  40: {
+    0: [94, 97],
+    10: [94, 97, 98],
+    20: [97, 98],
+    30: [97, 98],
+    40: [98, 99],
+    50: [98, 99],
+    60: [93, 98, 99],
+    70: [93, 98, 99, 100],
+    80: [93, 99, 100],
+    90: [93, 99, 100],
+    100: [93, 99, 100, 101],
+    110: [93, 100, 101],
+    120: [93, 100, 101, 102],
+    130: [93, 101, 102],
+    140: [93, 101, 102],
+    150: [93, 101, 102, 103],
+    160: [93, 102, 103],
+    170: [93, 102, 103, 104],
+    180: [93, 102, 103, 104],
+    190: [93, 103, 104, 105],
+    200: [93, 103, 104, 105, 106],
+    210: [93, 104, 105, 106],
+    220: [93, 104, 105, 106, 107],
+    230: [93],
+    240: [93, 106, 107, 108, 109],
+    250: [93, 107, 108],
+    260: [93, 107, 108, 109, 110, 111],
+    270: [93, 108, 109, 110, 111],
+    280: [93, 111],
+    290: [93, 110, 111, 112, 113, 114],
+    300: [93, 112, 113, 114],
+    310: [93, 113, 114, 115, 116],
+    320: [93, 113, 114, 115, 116, 117, 118],
+    330: [93],
+    340: [93, 117, 118, 119, 120, 121, 122],
+    350: [93, 118, 119, 120, 121, 122, 123, 124],
+    360: [93],
+    370: [93, 124, 125, 126, 127, 128, 129],
+    380: [125, 126, 127, 128, 129, 130, 131, 132, 133],
+    390: [93, 130, 131, 132, 133, 134],
+    410: [93, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    420: [139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    430: [93, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    450: [93],
+    460: [93],
+    480: [93]
+  },
+  50: {
+    0: [93, 96, 97],
+    10: [93, 96, 97],
+    20: [93, 96, 97],
+    30: [93, 96, 97],
+    40: [93, 97, 98],
+    50: [93, 97, 98],
+    60: [93, 97, 98],
+    70: [93, 97, 98, 99],
+    80: [93, 98, 99],
+    90: [93, 98, 99],
+    100: [93, 98, 99, 100],
+    110: [93, 99, 100],
+    120: [93, 99, 100],
+    130: [93, 99, 100, 101],
+    140: [93, 99, 100, 101],
+    150: [93, 100, 101, 102],
+    160: [93, 100, 101, 102],
+    170: [100, 101, 102],
+    180: [93, 101, 102],
+    190: [93, 101, 102, 103],
+    200: [102, 103, 104],
+    210: [93, 102, 103, 104, 105],
+    220: [103, 104, 105],
+    230: [93, 104, 105, 106],
+    240: [104, 105, 106, 107],
+    260: [105, 106, 107, 108, 109],
+    270: [107, 108],
+    280: [107, 108, 109, 110],
+    290: [107, 108, 109, 110, 111],
+    310: [109, 110, 111, 112, 113, 114],
+    320: [111, 112, 113, 114, 115],
+    330: [115],
+    340: [113, 114, 115, 116, 117, 118, 119],
+    350: [116, 117, 118, 119, 120],
+    360: [120, 121],
+    370: [119, 120, 121, 122, 123, 124, 125, 126, 127],
+    380: [123, 124, 125, 126, 127, 128],
+    400: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    410: [131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    420: [139, 140, 141, 142, 143],
+    440: [150, 151, 152, 153, 154, 155, 156],
+    450: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    460: [160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191],
+    490: [184, 185, 186, 187, 188, 189, 190, 191, 192, 193],
+    500: [193]
+  },
+  60: {
+    0: [93, 95, 96],
+    10: [93, 95, 96],
+    20: [93, 95, 96],
+    30: [93, 96],
+    40: [93, 96, 97],
+    50: [96, 97],
+    60: [96, 97],
+    70: [96, 97],
+    80: [96, 97, 98],
+    90: [97, 98],
+    100: [97, 98],
+    110: [97, 98, 99],
+    120: [97, 98, 99],
+    130: [98, 99],
+    140: [98, 99],
+    150: [98, 99, 100],
+    160: [92, 99, 100],
+    170: [99, 100, 101],
+    180: [92, 100],
+    190: [92, 99, 100, 101, 102],
+    200: [100, 101],
+    210: [92, 100, 101, 102, 103],
+    220: [101, 102, 103],
+    230: [92, 101, 102, 103, 104],
+    240: [92, 102, 103, 104],
+    250: [92, 103, 104, 105],
+    260: [92, 103, 104, 105, 106],
+    270: [92],
+    280: [92, 104, 105, 106, 107, 108],
+    290: [92, 105, 106, 107, 108],
+    300: [92, 107, 108, 109],
+    310: [92, 106, 107, 108, 109, 110, 111, 112],
+    320: [92],
+    330: [92, 109, 110, 111, 112, 113, 114],
+    340: [92, 110, 111, 112, 113, 114, 115, 116],
+    350: [92],
+    360: [92, 113, 114, 115, 116, 117, 118, 119, 120],
+    370: [92, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    380: [92],
+    390: [92, 121, 122, 123, 124, 125, 126, 127, 128],
+    400: [92, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    410: [92, 130, 131, 132, 133, 134],
+    430: [92, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    440: [92, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    450: [92, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    460: [92, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    470: [92, 172, 173, 174, 175, 176, 177],
+    480: [92, 182, 183, 184, 185, 186],
+    490: [189, 190, 191, 192, 193]
+  },
+  70: {
+    0: [92, 94, 95],
+    10: [92, 94, 95],
+    20: [92, 95],
+    30: [92, 95],
+    40: [92, 95, 96],
+    50: [92, 95, 96],
+    60: [92, 95, 96],
+    70: [92, 95, 96],
+    80: [92, 95, 96, 97],
+    90: [92, 96, 97],
+    100: [92, 96, 97],
+    110: [92, 96, 97],
+    120: [92, 96, 97],
+    130: [92, 96, 97, 98],
+    140: [92, 97, 98],
+    150: [92, 97, 98, 99],
+    160: [92, 98],
+    170: [92, 97, 98, 99],
+    180: [92, 99],
+    190: [92, 98, 99, 100],
+    200: [92],
+    210: [92, 98, 99, 100, 101],
+    220: [92, 100],
+    230: [92, 99, 100, 101, 102],
+    240: [92, 100, 101, 102],
+    250: [92, 100, 101, 102, 103],
+    260: [92, 100, 101, 102, 103, 104],
+    270: [92],
+    280: [92, 101, 102, 103, 104, 105, 106],
+    290: [92, 103, 104, 105],
+    300: [92, 103, 104, 105, 106, 107],
+    310: [92, 104, 105, 106, 107, 108],
+    320: [92],
+    330: [92, 105, 106, 107, 108, 109, 110, 111],
+    340: [92, 107, 108, 109, 110, 111, 112],
+    350: [92],
+    360: [92, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    370: [92, 113, 114, 115, 116, 117],
+    380: [117],
+    390: [92, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    400: [119, 120, 121, 122, 123, 124, 125, 126, 127],
+    410: [92],
+    420: [126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    430: [92, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    440: [140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    450: [92],
+    480: [92]
+  },
+  80: {
+    0: [92, 93, 94],
+    10: [92, 93, 94],
+    20: [92, 94],
+    30: [92, 94],
+    40: [92, 94, 95],
+    50: [92, 94, 95],
+    60: [92, 94, 95],
+    70: [92, 94, 95],
+    80: [92, 94, 95],
+    90: [92, 94, 95],
+    100: [92, 94, 95, 96],
+    110: [95, 96],
+    120: [95, 96],
+    130: [95, 96, 97],
+    140: [96],
+    150: [95, 96, 97],
+    160: [96, 97],
+    170: [95, 96, 97, 98],
+    180: [96, 97],
+    190: [96, 97, 98],
+    200: [97, 98],
+    210: [96, 97, 98, 99],
+    230: [97, 98, 99, 100],
+    240: [98, 99, 100],
+    250: [98, 99, 100, 101],
+    260: [98, 99, 100, 101],
+    270: [99, 100, 101],
+    280: [99, 100, 101, 102, 103],
+    300: [100, 101, 102, 103, 104, 105],
+    310: [101, 102, 103, 104, 105],
+    320: [103, 104, 105],
+    330: [102, 103, 104, 105, 106, 107, 108],
+    350: [105, 106, 107, 108, 109, 110],
+    360: [105, 106, 107, 108, 109, 110, 111, 112],
+    380: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    390: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    410: [116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    420: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    430: [128, 129, 130, 131, 132, 133, 134, 135]
+  },
+  90: {
+    0: [91, 92, 93],
+    10: [91, 92, 93],
+    20: [91, 93],
+    30: [91, 93],
+    40: [91, 93, 94],
+    50: [91, 93, 94],
+    60: [91, 93, 94],
+    70: [91, 93, 94],
+    80: [91, 93, 94],
+    90: [91, 93, 94],
+    100: [91, 93, 94],
+    110: [91, 93, 94, 95],
+    120: [91, 94],
+    130: [91, 93, 94, 95],
+    140: [91, 94, 95],
+    150: [91, 94, 95, 96],
+    160: [91, 94, 95],
+    170: [91, 94, 95, 96],
+    180: [91, 95, 96],
+    190: [91, 94, 95, 96, 97],
+    200: [91, 95, 96],
+    210: [91, 94, 95, 96, 97],
+    220: [91],
+    230: [91, 95, 96, 97, 98],
+    240: [91, 97],
+    250: [91, 95, 96, 97, 98, 99],
+    260: [91, 96, 97, 98, 99],
+    270: [91, 96, 97, 98, 99],
+    280: [91, 96, 97, 98, 99, 100],
+    290: [91],
+    300: [91, 97, 98, 99, 100, 101, 102],
+    310: [91, 98, 99, 100, 101],
+    320: [91, 99, 100, 101, 102],
+    330: [91, 98, 99, 100, 101, 102, 103, 104],
+    340: [91],
+    350: [91, 100, 101, 102, 103, 104, 105, 106, 107],
+    360: [91, 101, 102, 103, 104, 105, 106, 107],
+    370: [91],
+    380: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    390: [91, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    400: [91],
+    410: [91, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    420: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    430: [91],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91]
+  },
+  100: {
+    0: [91, 92],
+    10: [91, 92],
+    20: [91, 92],
+    30: [91, 92],
+    40: [91, 92, 93],
+    50: [91, 92, 93],
+    60: [91, 92, 93],
+    70: [91, 92, 93],
+    80: [91, 92, 93],
+    90: [91, 92, 93],
+    100: [91, 92, 93],
+    110: [91, 92, 93],
+    120: [91, 93],
+    130: [91, 92, 93, 94],
+    140: [91, 92, 93],
+    150: [91, 92, 93, 94],
+    160: [91, 92, 93, 94],
+    170: [91, 92, 93, 94],
+    180: [91, 93, 94],
+    190: [91, 92, 93, 94, 95],
+    200: [91, 93, 94, 95],
+    210: [91, 93, 94, 95],
+    220: [91, 94],
+    230: [91, 93, 94, 95, 96],
+    240: [91],
+    250: [91, 93, 94, 95, 96, 97],
+    260: [91, 94, 95, 96],
+    270: [91, 94, 95, 96, 97],
+    280: [91, 94, 95, 96, 97],
+    290: [91],
+    300: [91, 94, 95, 96, 97, 98, 99],
+    310: [96, 97],
+    320: [91, 95, 96, 97, 98, 99, 100],
+    330: [95, 96, 97, 98, 99, 100],
+    340: [91],
+    350: [95, 96, 97, 98, 99, 100, 101, 102, 103],
+    360: [91, 97, 98, 99, 100, 101, 102],
+    370: [91, 100, 101],
+    380: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    390: [91, 103],
+    400: [101, 102, 103, 104, 105, 106, 107, 108],
+    410: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    430: [91]
+  },
+  110: {
+    0: [91],
+    10: [91],
+    20: [91],
+    30: [91],
+    40: [91],
+    50: [91, 92],
+    60: [91, 92],
+    70: [91, 92],
+    80: [91, 92],
+    90: [91, 92],
+    100: [91, 92],
+    110: [91, 92],
+    120: [91, 92],
+    130: [91, 92],
+    140: [91, 92],
+    150: [91, 92],
+    160: [91, 92],
+    170: [91, 92, 93],
+    180: [91, 92, 93],
+    190: [91, 92, 93],
+    200: [91, 92, 93],
+    210: [91, 92, 93],
+    220: [92, 93],
+    230: [91, 92, 93, 94],
+    250: [91, 92, 93, 94],
+    260: [92, 93],
+    270: [91, 92, 93, 94],
+    280: [91, 92, 93, 94, 95],
+    290: [92, 93],
+    300: [91, 92, 93, 94, 95, 96],
+    320: [91, 92, 93, 94, 95, 96],
+    330: [91, 92, 93, 94, 95, 96],
+    350: [91, 92, 93, 94, 95, 96, 97, 98],
+    360: [93, 94, 95, 96],
+    370: [93, 94, 95, 96, 97, 98],
+    380: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    400: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    410: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106]
+  },
+  120: {
+    0: [90],
+    10: [90],
+    20: [90],
+    30: [90],
+    40: [90],
+    50: [89, 90, 91],
+    60: [89, 90, 91],
+    70: [90],
+    80: [89, 90, 91],
+    90: [89, 90, 91],
+    100: [89, 90, 91],
+    110: [89, 90, 91],
+    120: [90],
+    130: [89, 90, 91],
+    140: [89, 90, 91],
+    150: [89, 90, 91],
+    160: [89, 90, 91],
+    170: [89, 90, 91],
+    180: [89, 90, 91],
+    190: [89, 90, 91],
+    200: [89, 90, 91],
+    210: [89, 90, 91],
+    220: [89, 90, 91],
+    230: [88, 89, 90, 91, 92],
+    240: [90],
+    250: [88, 89, 90, 91, 92],
+    260: [89, 90, 91],
+    270: [88, 89, 90, 91, 92],
+    280: [88, 89, 90, 91, 92],
+    290: [89, 90, 91],
+    300: [87, 88, 89, 90, 91, 92, 93],
+    310: [90],
+    320: [87, 88, 89, 90, 91, 92, 93],
+    330: [87, 88, 89, 90, 91, 92, 93],
+    340: [90],
+    350: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    360: [89, 90, 91],
+    370: [87, 88, 89, 90, 91, 92, 93],
+    380: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    390: [90],
+    400: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    410: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    430: [90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90]
+  },
+  130: {
+    0: [89],
+    10: [89],
+    20: [89],
+    30: [89],
+    40: [89],
+    50: [88, 89],
+    60: [88, 89],
+    70: [88, 89],
+    80: [88, 89],
+    90: [88, 89],
+    100: [88, 89],
+    110: [88, 89],
+    120: [88, 89],
+    130: [88, 89],
+    140: [88, 89],
+    150: [88, 89],
+    160: [88, 89],
+    170: [87, 88, 89],
+    180: [87, 88, 89],
+    190: [87, 88, 89],
+    200: [87, 88, 89],
+    210: [87, 88, 89],
+    220: [87, 88],
+    230: [86, 87, 88, 89],
+    250: [86, 87, 88, 89],
+    260: [87, 88],
+    270: [86, 87, 88, 89],
+    280: [85, 86, 87, 88, 89],
+    290: [87, 88],
+    300: [84, 85, 86, 87, 88, 89],
+    320: [84, 85, 86, 87, 88, 89],
+    330: [84, 85, 86, 87, 88, 89],
+    350: [82, 83, 84, 85, 86, 87, 88, 89],
+    360: [84, 85, 86, 87],
+    370: [82, 83, 84, 85, 86, 87],
+    380: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    400: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    410: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89]
+  },
+  140: {
+    0: [88, 89],
+    10: [88, 89],
+    20: [88, 89],
+    30: [88, 89],
+    40: [87, 88, 89],
+    50: [87, 88, 89],
+    60: [87, 88, 89],
+    70: [87, 88, 89],
+    80: [87, 88, 89],
+    90: [87, 88, 89],
+    100: [87, 88, 89],
+    110: [87, 88, 89],
+    120: [87, 89],
+    130: [86, 87, 88, 89],
+    140: [87, 88, 89],
+    150: [86, 87, 88, 89],
+    160: [86, 87, 88, 89],
+    170: [86, 87, 88, 89],
+    180: [86, 87, 89],
+    190: [85, 86, 87, 88, 89],
+    200: [85, 86, 87, 89],
+    210: [85, 86, 87, 89],
+    220: [86, 89],
+    230: [84, 85, 86, 87, 89],
+    240: [89],
+    250: [83, 84, 85, 86, 87, 89],
+    260: [84, 85, 86, 89],
+    270: [83, 84, 85, 86, 89],
+    280: [83, 84, 85, 86, 89],
+    290: [89],
+    300: [81, 82, 83, 84, 85, 86, 89],
+    310: [83, 84],
+    320: [80, 81, 82, 83, 84, 85, 89],
+    330: [80, 81, 82, 83, 84, 85],
+    340: [89],
+    350: [77, 78, 79, 80, 81, 82, 83, 84, 85],
+    360: [78, 79, 80, 81, 82, 83, 89],
+    370: [79, 80, 89],
+    380: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
+    390: [77, 89],
+    400: [72, 73, 74, 75, 76, 77, 78, 79],
+    410: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    430: [89]
+  },
+  150: {
+    0: [87, 88, 89],
+    10: [87, 88, 89],
+    20: [87, 89],
+    30: [87, 89],
+    40: [86, 87, 89],
+    50: [86, 87, 89],
+    60: [86, 87, 89],
+    70: [86, 87, 89],
+    80: [86, 87, 89],
+    90: [86, 87, 89],
+    100: [86, 87, 89],
+    110: [85, 86, 87, 89],
+    120: [86, 89],
+    130: [85, 86, 87, 89],
+    140: [85, 86, 89],
+    150: [84, 85, 86, 89],
+    160: [85, 86, 89],
+    170: [84, 85, 86, 89],
+    180: [84, 85, 89],
+    190: [83, 84, 85, 86, 89],
+    200: [84, 85, 89],
+    210: [83, 84, 85, 86, 89],
+    220: [89],
+    230: [82, 83, 84, 85, 89],
+    240: [83, 89],
+    250: [81, 82, 83, 84, 85, 89],
+    260: [81, 82, 83, 84, 89],
+    270: [81, 82, 83, 84, 89],
+    280: [80, 81, 82, 83, 84, 89],
+    290: [89],
+    300: [78, 79, 80, 81, 82, 83, 89],
+    310: [79, 80, 81, 82, 89],
+    320: [78, 79, 80, 81, 89],
+    330: [76, 77, 78, 79, 80, 81, 82, 89],
+    340: [89],
+    350: [73, 74, 75, 76, 77, 78, 79, 80, 89],
+    360: [73, 74, 75, 76, 77, 78, 79, 89],
+    370: [89],
+    380: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    390: [67, 68, 69, 70, 71, 72, 73, 74, 75, 89],
+    400: [89],
+    410: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 89],
+    420: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    430: [89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89]
+  },
+  160: {
+    0: [86, 87, 88],
+    10: [86, 87, 88],
+    20: [86, 88],
+    30: [86, 88],
+    40: [85, 86, 88],
+    50: [85, 86, 88],
+    60: [85, 86, 88],
+    70: [85, 86, 88],
+    80: [85, 86, 88],
+    90: [85, 86, 88],
+    100: [84, 85, 86, 88],
+    110: [84, 85],
+    120: [84, 85],
+    130: [83, 84, 85],
+    140: [84],
+    150: [83, 84, 85],
+    160: [83, 84],
+    170: [82, 83, 84, 85],
+    180: [83, 84],
+    190: [82, 83, 84],
+    200: [82, 83],
+    210: [81, 82, 83, 84],
+    230: [80, 81, 82, 83],
+    240: [80, 81, 82],
+    250: [79, 80, 81, 82],
+    260: [79, 80, 81, 82],
+    270: [79, 80, 81],
+    280: [77, 78, 79, 80, 81],
+    300: [75, 76, 77, 78, 79, 80],
+    310: [75, 76, 77, 78, 79],
+    320: [75, 76, 77],
+    330: [72, 73, 74, 75, 76, 77, 78],
+    350: [70, 71, 72, 73, 74, 75],
+    360: [68, 69, 70, 71, 72, 73, 74, 75],
+    380: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
+    390: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    410: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    420: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    430: [45, 46, 47, 48, 49, 50, 51, 52]
+  },
+  170: {
+    0: [85, 86, 88],
+    10: [85, 86, 88],
+    20: [85, 88],
+    30: [85, 88],
+    40: [84, 85, 88],
+    50: [84, 85, 88],
+    60: [84, 85, 88],
+    70: [84, 85, 88],
+    80: [83, 84, 85, 88],
+    90: [83, 84, 88],
+    100: [83, 84, 88],
+    110: [83, 84, 88],
+    120: [83, 84, 88],
+    130: [82, 83, 84, 88],
+    140: [82, 83, 88],
+    150: [81, 82, 83, 88],
+    160: [82, 88],
+    170: [81, 82, 83, 88],
+    180: [81, 88],
+    190: [80, 81, 82, 88],
+    200: [88],
+    210: [79, 80, 81, 82, 88],
+    220: [80, 88],
+    230: [78, 79, 80, 81, 88],
+    240: [78, 79, 80, 88],
+    250: [77, 78, 79, 80, 88],
+    260: [76, 77, 78, 79, 80, 88],
+    270: [88],
+    280: [74, 75, 76, 77, 78, 79, 88],
+    290: [75, 76, 77, 88],
+    300: [73, 74, 75, 76, 77, 88],
+    310: [72, 73, 74, 75, 76, 88],
+    320: [88],
+    330: [69, 70, 71, 72, 73, 74, 75, 88],
+    340: [68, 69, 70, 71, 72, 73, 88],
+    350: [88],
+    360: [63, 64, 65, 66, 67, 68, 69, 70, 71, 88],
+    370: [63, 64, 65, 66, 67, 88],
+    380: [63],
+    390: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 88],
+    400: [53, 54, 55, 56, 57, 58, 59, 60, 61],
+    410: [88],
+    420: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    430: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 88],
+    440: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40],
+    450: [88],
+    480: [88]
+  },
+  180: {
+    0: [84, 85, 87],
+    10: [84, 85, 87],
+    20: [84, 85, 87],
+    30: [84, 87],
+    40: [83, 84, 87],
+    50: [83, 84],
+    60: [83, 84],
+    70: [83, 84],
+    80: [82, 83, 84],
+    90: [82, 83],
+    100: [82, 83],
+    110: [81, 82, 83],
+    120: [81, 82, 83],
+    130: [81, 82],
+    140: [81, 82],
+    150: [80, 81, 82],
+    160: [80, 81, 88],
+    170: [79, 80, 81],
+    180: [80, 88],
+    190: [78, 79, 80, 81, 88],
+    200: [79, 80],
+    210: [77, 78, 79, 80, 88],
+    220: [77, 78, 79],
+    230: [76, 77, 78, 79, 88],
+    240: [76, 77, 78, 88],
+    250: [75, 76, 77, 88],
+    260: [74, 75, 76, 77, 88],
+    270: [88],
+    280: [72, 73, 74, 75, 76, 88],
+    290: [72, 73, 74, 75, 88],
+    300: [71, 72, 73, 88],
+    310: [68, 69, 70, 71, 72, 73, 74, 88],
+    320: [88],
+    330: [66, 67, 68, 69, 70, 71, 88],
+    340: [64, 65, 66, 67, 68, 69, 70, 88],
+    350: [88],
+    360: [60, 61, 62, 63, 64, 65, 66, 67, 88],
+    370: [57, 58, 59, 60, 61, 62, 63, 64, 65, 88],
+    380: [88],
+    390: [52, 53, 54, 55, 56, 57, 58, 59, 88],
+    400: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 88],
+    410: [46, 47, 48, 49, 50, 88],
+    430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 88],
+    440: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 88],
+    450: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 88],
+    460: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 88],
+    470: [3, 4, 5, 6, 7, 8, 88],
+    480: [88, 354, 355, 356, 357, 358],
+    490: [347, 348, 349, 350, 351]
+  },
+  190: {
+    0: [83, 84, 87],
+    10: [83, 84, 87],
+    20: [83, 84, 87],
+    30: [83, 84, 87],
+    40: [82, 83, 87],
+    50: [82, 83, 87],
+    60: [82, 83, 87],
+    70: [81, 82, 83, 87],
+    80: [81, 82, 87],
+    90: [81, 82, 87],
+    100: [80, 81, 82, 87],
+    110: [80, 81, 87],
+    120: [80, 81, 87],
+    130: [79, 80, 81, 87],
+    140: [79, 80, 81, 87],
+    150: [78, 79, 80, 87],
+    160: [78, 79, 80, 87],
+    170: [78, 79, 80],
+    180: [78, 79, 87],
+    190: [77, 78, 79, 87],
+    200: [76, 77, 78],
+    210: [75, 76, 77, 78, 87],
+    220: [75, 76, 77],
+    230: [74, 75, 76, 87],
+    240: [73, 74, 75, 76],
+    260: [71, 72, 73, 74, 75],
+    270: [72, 73],
+    280: [70, 71, 72, 73],
+    290: [69, 70, 71, 72, 73],
+    310: [66, 67, 68, 69, 70, 71],
+    320: [65, 66, 67, 68, 69],
+    330: [65],
+    340: [61, 62, 63, 64, 65, 66, 67],
+    350: [60, 61, 62, 63, 64],
+    360: [59, 60],
+    370: [53, 54, 55, 56, 57, 58, 59, 60, 61],
+    380: [52, 53, 54, 55, 56, 57],
+    400: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    410: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    420: [37, 38, 39, 40, 41],
+    440: [24, 25, 26, 27, 28, 29, 30],
+    450: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [347, 348, 349, 350, 351, 352, 353, 354, 355, 356],
+    500: [347]
+  },
+  200: {
+    0: [83, 86],
+    10: [82, 83, 86],
+    20: [82, 83],
+    30: [82, 83],
+    40: [81, 82],
+    50: [81, 82],
+    60: [81, 82, 87],
+    70: [80, 81, 82, 87],
+    80: [80, 81, 87],
+    90: [80, 81, 87],
+    100: [79, 80, 81, 87],
+    110: [79, 80, 87],
+    120: [78, 79, 80, 87],
+    130: [78, 79, 87],
+    140: [78, 79, 87],
+    150: [77, 78, 79, 87],
+    160: [77, 78, 87],
+    170: [76, 77, 78, 87],
+    180: [76, 77, 78, 87],
+    190: [75, 76, 77, 87],
+    200: [74, 75, 76, 77, 87],
+    210: [74, 75, 76, 87],
+    220: [73, 74, 75, 76, 87],
+    230: [87],
+    240: [71, 72, 73, 74, 87],
+    250: [72, 73, 87],
+    260: [69, 70, 71, 72, 73, 87],
+    270: [69, 70, 71, 72, 87],
+    280: [69, 87],
+    290: [66, 67, 68, 69, 70, 87],
+    300: [66, 67, 68, 87],
+    310: [64, 65, 66, 67, 87],
+    320: [62, 63, 64, 65, 66, 67, 87],
+    330: [87],
+    340: [58, 59, 60, 61, 62, 63, 87],
+    350: [56, 57, 58, 59, 60, 61, 62, 87],
+    360: [87],
+    370: [51, 52, 53, 54, 55, 56, 87],
+    380: [47, 48, 49, 50, 51, 52, 53, 54, 55],
+    390: [46, 47, 48, 49, 50, 87],
+    410: [36, 37, 38, 39, 40, 41, 42, 43, 44, 87],
+    420: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
+    430: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 87],
+    450: [87],
+    460: [87],
+    480: [87]
+  },
+  210: {
+    0: [82, 86],
+    10: [81, 82, 86],
+    20: [81, 82, 86],
+    30: [81, 82, 86],
+    40: [80, 81, 86],
+    50: [80, 81, 86],
+    60: [80, 81, 86],
+    70: [79, 80, 86],
+    80: [79, 80, 86],
+    90: [79, 80, 86],
+    100: [78, 79, 86],
+    110: [78, 79],
+    120: [77, 78, 79, 86],
+    130: [77, 78],
+    140: [76, 77, 78],
+    150: [76, 77],
+    160: [75, 76, 77],
+    170: [75, 76],
+    180: [74, 75, 76],
+    190: [74, 75],
+    200: [73, 74, 75],
+    220: [71, 72, 73, 74],
+    230: [71, 72],
+    240: [69, 70, 71, 72],
+    250: [69, 70, 71, 87],
+    260: [68, 69, 70],
+    270: [66, 67, 68, 69, 70, 87],
+    280: [87],
+    290: [64, 65, 66, 67, 68, 87],
+    300: [63, 64, 65, 66, 87],
+    310: [87],
+    320: [59, 60, 61, 62, 63, 64, 87],
+    330: [58, 59, 60, 61, 62, 87],
+    340: [87],
+    350: [53, 54, 55, 56, 57, 58, 59, 87],
+    360: [51, 52, 53, 54, 55, 56, 87],
+    370: [87],
+    380: [45, 46, 47, 48, 49, 50, 51, 87],
+    390: [41, 42, 43, 44, 45, 46, 47, 48, 49, 87],
+    400: [39, 40, 41, 42, 43],
+    410: [87],
+    420: [29, 30, 31, 32, 33, 34, 35, 36],
+    430: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 87],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 87],
+    450: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 87],
+    460: [7, 8, 9, 10, 11, 12, 13, 14, 87],
+    470: [2, 3, 4, 5, 6, 7, 87],
+    480: [0, 87, 356, 357, 358, 359],
+    490: [352, 353, 354, 355]
+  },
+  220: {
+    0: [81, 82, 85],
+    10: [80, 81],
+    20: [80, 81],
+    30: [80, 81, 86],
+    40: [79, 80, 86],
+    50: [79, 80, 86],
+    60: [79, 80, 86],
+    70: [78, 79, 86],
+    80: [78, 79, 86],
+    90: [77, 78, 79, 86],
+    100: [77, 78, 86],
+    110: [77, 78, 86],
+    120: [76, 77, 86],
+    130: [76, 77, 86],
+    140: [75, 76, 77, 86],
+    150: [75, 76, 86],
+    160: [74, 75, 76, 86],
+    170: [74, 86],
+    180: [72, 73, 74, 75, 86],
+    190: [73, 86],
+    200: [71, 72, 73, 86],
+    210: [71, 72, 86],
+    220: [69, 70, 71, 72, 86],
+    230: [69, 70, 71, 86],
+    240: [68, 69, 70],
+    250: [66, 67, 68, 69, 70, 86],
+    270: [64, 65, 66, 67, 68, 86],
+    280: [64, 65, 66],
+    290: [62, 63, 64, 86],
+    300: [60, 61, 62, 63, 64],
+    310: [60, 61],
+    320: [57, 58, 59, 60],
+    330: [55, 56, 57, 58, 59, 60],
+    340: [55, 56],
+    350: [51, 52, 53, 54],
+    360: [47, 48, 49, 50, 51, 52, 53, 54],
+    370: [46, 47, 48, 49, 50],
+    390: [39, 40, 41, 42, 43, 44, 45],
+    400: [34, 35, 36, 37, 38, 39, 40, 41, 42],
+    410: [32, 33, 34, 35, 36, 37],
+    440: [17, 18, 19, 20, 21, 22, 23],
+    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 359],
+    480: [0, 1, 2, 3, 353, 354, 355, 356, 357, 358, 359],
+    490: [352, 353, 354, 355, 356, 357, 358],
+    500: [352]
+  },
+  230: {
+    0: [80, 81, 85],
+    10: [80, 85],
+    20: [79, 80, 85],
+    30: [79, 80, 85],
+    40: [78, 79, 85],
+    50: [78, 79, 85],
+    60: [78, 79, 85],
+    70: [77, 78],
+    80: [77, 78, 85],
+    90: [76, 77, 78],
+    100: [76, 77],
+    110: [75, 76, 77],
+    120: [75, 76],
+    130: [74, 75, 76],
+    140: [74, 75],
+    150: [73, 74, 75, 86],
+    160: [72, 73, 74, 86],
+    170: [72, 73],
+    180: [71, 72, 73, 86],
+    190: [71, 72, 86],
+    200: [69, 70, 71, 86],
+    210: [69, 70, 71, 86],
+    220: [68, 69, 70, 86],
+    230: [67, 68, 69, 70, 86],
+    240: [86],
+    250: [65, 66, 67, 68, 86],
+    260: [64, 65, 66, 86],
+    270: [63, 64, 65, 86],
+    280: [61, 62, 63, 64, 65, 86],
+    290: [86],
+    300: [58, 59, 60, 61, 62, 86],
+    310: [56, 57, 58, 59, 60, 86],
+    320: [86],
+    330: [52, 53, 54, 55, 56, 57, 86],
+    340: [50, 51, 52, 53, 54, 55, 86],
+    350: [86],
+    360: [46, 47, 48, 49, 50, 86],
+    370: [42, 43, 44, 45, 46, 47, 48, 49, 86],
+    380: [41, 42, 43, 44, 45],
+    390: [86],
+    400: [33, 34, 35, 36, 37, 38],
+    410: [28, 29, 30, 31, 32, 33, 34, 35, 36, 86],
+    420: [24, 25, 26, 27, 28, 29, 30, 31, 32, 86],
+    430: [22, 23, 24, 25, 26, 86],
+    440: [86],
+    460: [86],
+    480: [86]
+  },
+  240: {
+    0: [79, 80],
+    10: [79, 85],
+    20: [78, 79, 85],
+    30: [78, 79, 85],
+    40: [78, 85],
+    50: [77, 78, 85],
+    60: [77, 78, 85],
+    70: [76, 77, 85],
+    80: [76, 77, 85],
+    90: [75, 76, 85],
+    100: [75, 76, 85],
+    110: [74, 75, 76, 85],
+    120: [74, 85],
+    130: [73, 74, 75, 85],
+    140: [72, 73, 74, 85],
+    150: [72, 73, 85],
+    160: [71, 72, 85],
+    170: [70, 71, 72, 85],
+    180: [70, 71, 85],
+    190: [69, 70, 71],
+    200: [68, 69],
+    210: [67, 68, 69],
+    230: [65, 66, 67, 68],
+    240: [65, 66],
+    250: [63, 64, 65],
+    260: [62, 63, 64, 65],
+    280: [59, 60, 61, 62],
+    290: [58, 59, 60, 61],
+    300: [57, 58],
+    310: [54, 55, 56, 57, 58],
+    320: [53, 54, 55, 56],
+    330: [86],
+    340: [48, 49, 50, 51, 52, 53],
+    350: [46, 47, 48, 49, 50, 86],
+    370: [41, 42, 43, 44, 45, 86],
+    380: [37, 38, 39, 40, 41, 42, 43],
+    390: [35, 36, 37, 38, 39, 40, 86],
+    410: [86],
+    420: [23, 24, 25, 26, 27, 28, 29, 86],
+    430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 86],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 86],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 86],
+    460: [6, 7, 8, 9, 10, 11, 12, 86],
+    470: [2, 3, 4, 5, 6, 7],
+    480: [0, 1, 2, 86, 357, 358, 359],
+    490: [86, 355, 356, 357]
+  },
+  250: {
+    0: [78, 79, 84],
+    10: [78, 79, 84],
+    20: [77, 78, 84],
+    30: [77, 78, 84],
+    40: [77, 78, 84],
+    50: [76, 77],
+    60: [76],
+    70: [75, 76],
+    80: [75, 76],
+    90: [74, 75, 85],
+    100: [74, 75, 85],
+    110: [73, 74],
+    120: [73, 74, 85],
+    130: [72, 73, 85],
+    140: [72, 85],
+    150: [70, 71, 72, 85],
+    160: [70, 71, 85],
+    170: [69, 70, 71, 85],
+    180: [69, 85],
+    190: [67, 68, 69, 85],
+    200: [67, 68, 85],
+    210: [65, 66, 67, 68, 85],
+    220: [65, 66, 67, 85],
+    230: [64, 65, 66, 85],
+    240: [62, 63, 64, 65, 85],
+    250: [85],
+    260: [60, 61, 62, 63, 85],
+    270: [59, 60, 61, 85],
+    280: [58, 59, 60],
+    290: [55, 56, 57, 58, 59, 85],
+    300: [56, 57],
+    310: [53, 54, 55, 85],
+    320: [50, 51, 52, 53, 54, 55],
+    330: [50, 51, 85],
+    340: [47, 48, 49],
+    350: [43, 44, 45, 46, 47, 48, 49],
+    360: [42, 43, 44, 45, 46],
+    380: [36, 37, 38, 39, 40],
+    390: [32, 33, 34, 35, 36, 37, 38],
+    400: [29, 30, 31, 32, 33, 34, 35],
+    410: [27, 28, 29, 30],
+    440: [14, 15, 16, 17, 18, 19],
+    450: [9, 10, 11, 12, 13, 14, 15, 16],
+    460: [5, 6, 7, 8, 9, 10, 11, 12],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8],
+    480: [0, 1, 2, 3, 356, 357, 358, 359],
+    490: [355, 356, 357, 358, 359]
+  },
+  260: {
+    0: [77, 78, 84],
+    10: [77, 78, 84],
+    20: [77, 84],
+    30: [76, 77, 84],
+    40: [76, 77, 84],
+    50: [75, 76, 84],
+    60: [75, 76, 84],
+    70: [74, 75, 84],
+    80: [73, 74, 75, 84],
+    90: [73, 74, 84],
+    100: [72, 73, 74, 84],
+    110: [72, 73, 84],
+    120: [71, 72, 73, 84],
+    130: [70, 71, 72],
+    140: [70, 71],
+    150: [69, 70, 71],
+    160: [69, 70],
+    170: [68, 69],
+    180: [67, 68, 69],
+    190: [66, 67, 68],
+    200: [65, 66, 67, 85],
+    210: [64, 65, 66, 85],
+    220: [63, 64, 65, 85],
+    230: [85],
+    240: [61, 62, 63],
+    250: [60, 61, 62, 85],
+    260: [58, 59, 60, 61],
+    270: [57, 58, 59, 60, 85],
+    280: [85],
+    290: [54, 55, 56, 57, 85],
+    300: [52, 53, 54, 55, 56, 85],
+    310: [85],
+    320: [49, 50, 51, 52, 85],
+    330: [46, 47, 48, 49, 50, 51, 85],
+    340: [47, 85],
+    350: [43, 44, 45, 85],
+    360: [39, 40, 41, 42, 43, 44],
+    370: [37, 38, 39, 40, 41, 42, 85],
+    380: [85],
+    390: [85],
+    400: [28, 29, 30, 31, 32, 33, 85],
+    410: [24, 25, 26, 27, 28, 29, 30, 85],
+    420: [21, 22, 23, 24, 25, 26, 27, 85],
+    430: [18, 19, 20, 21, 22, 85],
+    440: [85],
+    460: [85],
+    480: [85]
+  },
+  270: {
+    0: [77, 83],
+    10: [76, 77, 83],
+    20: [76, 77, 83],
+    30: [75, 76, 83],
+    40: [75, 76],
+    50: [74, 75],
+    60: [74, 75],
+    70: [73, 74, 84],
+    80: [73, 84],
+    90: [72, 73, 84],
+    100: [71, 72, 73, 84],
+    110: [71, 72, 84],
+    120: [70, 71, 72, 84],
+    130: [70, 84],
+    140: [69, 70, 84],
+    150: [68, 69, 84],
+    160: [67, 68, 69, 84],
+    170: [67, 68, 84],
+    180: [65, 66, 67, 84],
+    190: [65, 66, 84],
+    200: [64, 65, 66, 84],
+    210: [64],
+    220: [61, 62, 63, 64, 84],
+    230: [61, 62, 63],
+    240: [59, 60, 61],
+    250: [58, 59, 60, 61],
+    270: [55, 56, 57, 58],
+    280: [54, 55, 56, 57],
+    300: [50, 51, 52, 53, 54],
+    310: [49, 50, 51, 52],
+    330: [45, 46, 47, 48],
+    340: [43, 44, 45, 46, 47],
+    350: [43, 85],
+    360: [39, 40],
+    370: [35, 36, 37, 38, 39, 40, 85],
+    380: [32, 33, 34, 35, 36, 37],
+    390: [31, 32, 33, 34, 85],
+    410: [25, 26, 85],
+    420: [20, 21, 22, 23, 24, 25, 85],
+    430: [16, 17, 18, 19, 20, 21, 22, 85],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 85],
+    450: [9, 10, 11, 12, 13, 14, 15],
+    460: [6, 7, 8, 9, 10, 11, 85],
+    470: [2, 3, 4, 5, 6, 7],
+    480: [0, 1, 2, 3, 85, 358, 359],
+    490: [85, 357, 358, 359]
+  },
+  280: {
+    0: [76, 77, 83],
+    10: [75, 76, 83],
+    20: [75, 76, 83],
+    30: [74, 75, 83],
+    40: [74, 75, 83],
+    50: [73, 74, 83],
+    60: [73, 74, 83],
+    70: [72, 73, 83],
+    80: [72, 73, 83],
+    90: [71, 72],
+    100: [70, 71],
+    110: [70, 71],
+    120: [69, 70],
+    130: [69, 70],
+    140: [67, 68, 69],
+    150: [67, 68, 84],
+    160: [66, 67, 68, 84],
+    170: [66, 67, 84],
+    180: [64, 65, 66, 84],
+    190: [64, 65, 84],
+    200: [62, 63, 64, 84],
+    210: [62, 63, 84],
+    220: [60, 61, 62, 84],
+    230: [59, 60, 61, 62, 84],
+    240: [84],
+    250: [56, 57, 58, 59, 84],
+    260: [56, 57, 58, 84],
+    270: [55, 84],
+    280: [52, 53, 54, 55, 84],
+    290: [51, 52, 53, 84],
+    300: [50, 51, 84],
+    310: [47, 48, 49, 50, 51, 84],
+    320: [46, 47, 48, 49],
+    330: [84],
+    340: [41, 42, 43, 44, 45],
+    350: [39, 40, 41, 42, 43, 84],
+    360: [38, 39, 40],
+    380: [31, 32, 33, 34, 35],
+    390: [28, 29, 30, 31, 32, 33],
+    400: [26, 27, 28, 29, 30],
+    410: [24, 25, 26],
+    440: [13, 14, 15, 16],
+    450: [9, 10, 11, 12, 13],
+    460: [5, 6, 7, 8, 9, 10],
+    470: [1, 2, 3, 4, 5, 6, 7],
+    480: [0, 1, 2, 3, 358, 359],
+    490: [0, 357, 358, 359]
+  },
+  290: {
+    0: [75, 76, 82],
+    10: [75, 82],
+    20: [74, 75, 82],
+    30: [74, 82],
+    40: [73, 74],
+    50: [72, 73, 83],
+    60: [72, 73, 83],
+    70: [71, 72, 83],
+    80: [71, 72, 83],
+    90: [70, 71, 83],
+    100: [70, 83],
+    110: [69, 70, 83],
+    120: [68, 69, 83],
+    130: [67, 68, 69, 83],
+    140: [66, 67, 68, 83],
+    150: [66, 67, 83],
+    160: [65, 66, 83],
+    170: [64, 65, 66, 83],
+    180: [63, 64],
+    190: [62, 63, 64],
+    200: [61, 62],
+    210: [60, 61, 62],
+    220: [60],
+    230: [58, 59, 60],
+    240: [57, 58, 59],
+    250: [56, 57, 84],
+    260: [54, 55, 56, 57],
+    270: [53, 54, 55, 84],
+    280: [51, 52, 53],
+    290: [49, 50, 51, 52, 84],
+    300: [49, 50],
+    310: [46, 47, 48, 84],
+    320: [44, 45, 46, 47, 84],
+    330: [42, 43, 44, 45, 84],
+    340: [84],
+    350: [37, 38, 39, 40, 41, 84],
+    360: [35, 36, 37, 38, 39, 84],
+    370: [33, 34, 35, 36, 84],
+    380: [84],
+    390: [28, 29, 30, 84],
+    400: [24, 25, 26, 27, 28, 29, 84],
+    410: [21, 22, 23, 24, 25, 26, 84],
+    420: [18, 19, 20, 21, 22, 23, 84],
+    430: [16, 17, 18, 19, 20],
+    440: [15, 84],
+    460: [84],
+    470: [84],
+    480: [84],
+    490: [84]
+  },
+  300: {
+    0: [74, 75, 82],
+    10: [74, 75, 82],
+    20: [73, 74, 82],
+    30: [73, 74, 82],
+    40: [72, 73, 82],
+    50: [72, 82],
+    60: [71, 72, 82],
+    70: [71, 82],
+    80: [70, 71],
+    90: [69, 70],
+    100: [68, 69, 70],
+    110: [68, 69, 83],
+    120: [67, 68, 83],
+    130: [66, 67, 68, 83],
+    140: [66, 67, 83],
+    150: [64, 65, 66, 83],
+    160: [64, 65, 83],
+    170: [63, 64, 83],
+    180: [63, 83],
+    190: [61, 62, 63, 83],
+    200: [60, 61, 62, 83],
+    210: [59, 60, 61, 83],
+    220: [58, 59, 60, 83],
+    230: [57, 58],
+    240: [55, 56, 57, 58, 83],
+    250: [55, 56],
+    260: [53, 54, 55, 83],
+    270: [51, 52, 53, 54],
+    280: [51],
+    290: [48, 49, 50],
+    300: [46, 47, 48, 49],
+    310: [46, 47],
+    320: [43, 44, 45],
+    330: [40, 41, 42, 43, 44],
+    340: [39, 40, 41, 42],
+    360: [34, 35, 36, 37],
+    370: [31, 32, 33, 34, 35],
+    380: [29, 30, 31, 32, 33],
+    390: [28, 29, 30],
+    400: [84],
+    410: [22, 23],
+    420: [18, 19, 20, 21, 22, 84],
+    430: [14, 15, 16, 17, 18, 19],
+    440: [11, 12, 13, 14, 15, 16, 17, 84],
+    450: [8, 9, 10, 11, 12, 13],
+    460: [5, 6, 7, 8, 9, 10, 84],
+    470: [2, 3, 4, 5, 6, 7, 84],
+    480: [0, 1, 2, 3, 4, 84, 359],
+    490: [0, 84, 358, 359]
+  },
+  310: {
+    0: [74, 75, 81],
+    10: [73, 74, 81],
+    20: [73, 81],
+    30: [72, 73],
+    40: [71, 72, 82],
+    50: [71, 72, 82],
+    60: [70, 71, 82],
+    70: [69, 70, 71, 82],
+    80: [69, 70, 82],
+    90: [68, 69, 82],
+    100: [67, 68, 69, 82],
+    110: [67, 68, 82],
+    120: [66, 67, 82],
+    130: [65, 66, 82],
+    140: [64, 65, 66, 82],
+    150: [63, 64, 65],
+    160: [63, 64],
+    170: [62, 63],
+    180: [61, 62],
+    190: [60, 61],
+    200: [59, 60, 61, 83],
+    220: [56, 57, 58, 83],
+    230: [56, 57, 83],
+    240: [54, 55, 56, 83],
+    250: [53, 54, 55, 83],
+    260: [83],
+    270: [50, 51, 52, 83],
+    280: [48, 49, 50, 51, 83],
+    290: [83],
+    300: [45, 46, 47, 48, 83],
+    310: [43, 44, 45, 46, 83],
+    320: [43, 44, 83],
+    330: [40, 41, 83],
+    340: [37, 38, 39, 40, 41, 83],
+    350: [35, 36, 37, 38, 39, 83],
+    360: [35, 83],
+    380: [28, 29, 30, 31, 32, 83],
+    390: [25, 26, 27, 28, 29, 30],
+    400: [23, 24, 25, 26, 27],
+    410: [21, 22, 23, 24],
+    440: [13, 14],
+    450: [9, 10, 11, 12],
+    460: [5, 6, 7, 8, 9],
+    470: [2, 3, 4, 5, 6, 7],
+    480: [0, 1, 2, 3, 4, 359],
+    490: [0, 1, 358, 359],
+    500: [358]
+  },
+  320: {
+    0: [73, 74, 81],
+    10: [72, 73, 81],
+    20: [72, 73, 81],
+    30: [71, 72, 81],
+    40: [71, 81],
+    50: [70, 71, 81],
+    60: [69, 70, 81],
+    70: [69, 70],
+    80: [68, 69],
+    90: [67, 68],
+    100: [66, 67, 82],
+    110: [66, 67, 82],
+    120: [65, 66, 82],
+    130: [65, 82],
+    140: [63, 64, 65, 82],
+    150: [63, 64, 82],
+    160: [61, 62, 63, 82],
+    170: [61, 62, 82],
+    180: [60, 61, 82],
+    190: [59, 60, 82],
+    200: [57, 58, 59],
+    210: [57, 58, 82],
+    220: [55, 56, 57],
+    230: [54, 55, 56],
+    240: [54],
+    250: [51, 52, 53, 54],
+    260: [50, 51, 52],
+    280: [47, 48, 49, 50],
+    290: [46, 47, 48],
+    310: [42, 43, 44, 45, 83],
+    320: [40, 41, 42, 43, 83],
+    330: [39, 40, 41, 83],
+    340: [83],
+    350: [34, 35, 36, 37, 83],
+    360: [32, 33, 34, 35, 83],
+    370: [30, 31, 32, 33, 83],
+    380: [83],
+    390: [26, 27, 83],
+    400: [22, 23, 24, 25, 26, 83],
+    410: [19, 20, 21, 22, 23, 24],
+    420: [17, 18, 19, 20, 21, 83],
+    430: [15, 16, 17, 18, 83],
+    440: [13, 14, 15, 83],
+    450: [83],
+    460: [83],
+    470: [83],
+    490: [83]
+  },
+  330: {
+    0: [72, 73, 80],
+    10: [72, 73, 80],
+    20: [71, 72],
+    30: [71, 81],
+    40: [70, 71, 81],
+    50: [69, 70, 81],
+    60: [68, 69, 81],
+    70: [68, 69, 81],
+    80: [67, 68, 81],
+    90: [66, 67, 81],
+    100: [66, 67, 81],
+    110: [65, 66],
+    120: [64, 65],
+    130: [63, 64, 65],
+    140: [62, 63],
+    150: [62, 63],
+    160: [60, 61, 62, 82],
+    170: [60, 61, 82],
+    180: [59, 60, 82],
+    190: [58, 59, 82],
+    200: [57, 82],
+    210: [55, 56, 57, 82],
+    220: [55, 56, 82],
+    230: [53, 54, 55, 82],
+    240: [52, 53, 54, 82],
+    250: [82],
+    260: [49, 50, 51, 82],
+    270: [48, 49, 50],
+    280: [47, 82],
+    290: [44, 45, 46, 47],
+    300: [43, 44, 45, 82],
+    320: [39, 40, 41, 42],
+    330: [37, 38, 39, 40],
+    340: [36, 37, 38],
+    360: [31, 32, 33, 34],
+    370: [29, 30, 31, 32],
+    380: [27, 28, 29, 30],
+    390: [25, 26, 27],
+    420: [17, 18, 19, 83],
+    430: [14, 15, 16, 17],
+    440: [11, 12, 13, 14, 15, 83],
+    450: [8, 9, 10, 11, 12, 13, 83],
+    460: [6, 7, 8, 9, 10, 83],
+    470: [3, 4, 5, 6, 7, 83],
+    480: [0, 1, 2, 3, 4, 83],
+    490: [0, 1, 2, 83]
+  },
+  340: {
+    0: [72, 73, 80],
+    10: [71, 72, 80],
+    20: [71, 80],
+    30: [70, 71, 80],
+    40: [69, 70, 80],
+    50: [68, 69, 80],
+    60: [68, 69],
+    70: [67, 68, 81],
+    80: [66, 67, 81],
+    90: [66, 81],
+    100: [65, 66, 81],
+    110: [64, 65, 81],
+    120: [64, 81],
+    130: [62, 63, 64, 81],
+    140: [62, 63, 81],
+    150: [60, 61, 62, 81],
+    160: [60, 61, 81],
+    170: [59, 60],
+    180: [58, 59, 81],
+    190: [56, 57, 58],
+    200: [56, 57],
+    210: [54, 55, 56],
+    220: [53, 54, 55],
+    240: [50, 51, 52, 53, 82],
+    250: [50, 51],
+    260: [48, 49, 82],
+    270: [46, 47, 48, 49, 82],
+    280: [45, 46, 47, 82],
+    290: [44, 82],
+    300: [41, 42, 43, 44, 82],
+    310: [40, 41, 42, 43, 82],
+    320: [82],
+    330: [36, 37, 38, 82],
+    340: [34, 35, 36, 37, 82],
+    350: [33, 34, 35],
+    360: [32, 82],
+    380: [26, 27, 28, 29, 82],
+    390: [23, 24, 25, 26, 27],
+    400: [21, 22, 23, 24, 25, 82],
+    410: [19, 20, 21, 22],
+    450: [10],
+    460: [6, 7, 8],
+    470: [3, 4, 5, 6],
+    480: [1, 2, 3, 4],
+    490: [0, 1]
+  },
+  350: {
+    0: [71, 72, 79],
+    10: [71, 79],
+    20: [70, 71, 79],
+    30: [69, 70, 80],
+    40: [68, 69, 80],
+    50: [68, 69, 80],
+    60: [67, 68, 80],
+    70: [66, 67, 80],
+    80: [65, 66, 80],
+    90: [65, 66, 80],
+    100: [64, 65],
+    110: [63, 64],
+    120: [62, 63, 64],
+    130: [61, 62, 81],
+    140: [61, 62, 81],
+    150: [60, 61, 81],
+    160: [59, 60, 81],
+    170: [58, 59, 81],
+    180: [57, 58, 81],
+    190: [56, 81],
+    200: [54, 55, 56, 81],
+    210: [54, 55, 81],
+    220: [52, 53, 54],
+    230: [51, 52, 53, 81],
+    240: [50],
+    250: [48, 49, 50, 81],
+    260: [47, 48, 49],
+    270: [46, 47],
+    280: [44, 45, 46],
+    290: [43, 44, 45],
+    310: [39, 40, 41],
+    320: [37, 38, 39, 40, 82],
+    330: [37, 38],
+    340: [34, 35, 82],
+    350: [31, 32, 33, 34],
+    360: [29, 30, 31, 32, 33, 82],
+    370: [28, 29, 30],
+    380: [82],
+    400: [21, 22, 23, 82],
+    410: [18, 19, 20, 21, 22, 82],
+    420: [16, 17, 18, 19, 82],
+    430: [14, 15, 16, 17, 82],
+    440: [12, 13, 14, 82],
+    450: [10, 11, 12, 82],
+    460: [8],
+    470: [82]
+  },
+  360: {
+    0: [71, 79],
+    10: [70, 71, 79],
+    20: [69, 70, 79],
+    30: [68, 69, 79],
+    40: [68, 69, 79],
+    50: [67, 68, 79],
+    60: [66, 67],
+    70: [65, 66, 80],
+    80: [65, 66, 80],
+    90: [64, 65, 80],
+    100: [63, 64, 80],
+    110: [62, 63, 64, 80],
+    120: [61, 62, 80],
+    130: [61, 62, 80],
+    140: [60, 61, 80],
+    150: [59, 60, 80],
+    160: [58, 59],
+    170: [57, 58],
+    180: [56, 57],
+    190: [55, 56, 81],
+    200: [54, 55],
+    210: [52, 53, 54, 81],
+    220: [81],
+    230: [50, 51, 52, 81],
+    240: [49, 50, 51, 81],
+    250: [48, 49, 81],
+    260: [46, 47, 48, 81],
+    270: [45, 46, 47, 81],
+    280: [43, 44, 81],
+    290: [41, 42, 43, 44, 81],
+    300: [40, 41, 42, 81],
+    310: [81],
+    320: [36, 37, 38, 39, 81],
+    330: [34, 35, 36, 37],
+    340: [33, 34, 35],
+    360: [29, 30, 31],
+    370: [27, 28, 29, 30],
+    380: [25, 26, 27, 28],
+    390: [23, 24, 25],
+    420: [16, 17],
+    430: [13, 14, 15, 16],
+    440: [11, 12, 13, 14],
+    450: [8, 9, 10, 11, 12, 82],
+    460: [6, 7, 8, 9, 10],
+    470: [4, 5, 6, 7, 82],
+    480: [1, 2, 3, 4, 5],
+    490: [1, 2, 3]
+  },
+  370: {
+    0: [70, 71, 78],
+    10: [69, 70, 78],
+    20: [69, 78],
+    30: [68, 69, 79],
+    40: [67, 68, 79],
+    50: [66, 67, 79],
+    60: [66, 79],
+    70: [65, 66, 79],
+    80: [64, 65, 79],
+    90: [63, 64],
+    100: [63, 64],
+    110: [61, 62, 63],
+    120: [61, 62, 80],
+    130: [60, 61, 80],
+    140: [59, 60, 80],
+    150: [58, 59, 80],
+    160: [57, 58, 80],
+    170: [56, 57, 80],
+    180: [55, 56, 80],
+    190: [54, 55, 80],
+    200: [53, 54, 80],
+    210: [51, 52, 53],
+    220: [51, 52],
+    230: [49, 50],
+    240: [48, 49, 50],
+    250: [47, 48],
+    260: [45, 46, 81],
+    270: [44, 45, 46],
+    280: [43, 44, 81],
+    290: [41, 42, 81],
+    300: [39, 40, 41, 81],
+    310: [38, 39, 40, 81],
+    320: [81],
+    330: [34, 35, 36, 81],
+    340: [32, 33, 34, 35, 81],
+    350: [30, 31, 32, 33, 81],
+    360: [29, 30, 81],
+    370: [81],
+    380: [24, 25, 26, 81],
+    390: [22, 23, 24, 25, 81],
+    400: [20, 21, 22, 23, 81],
+    410: [18, 19, 20, 21, 81],
+    420: [16, 17, 18],
+    430: [81],
+    470: [5, 6],
+    480: [2, 3, 4],
+    490: [1, 2]
+  },
+  380: {
+    0: [69, 70, 77, 78],
+    10: [69, 70, 78],
+    20: [68, 69, 78],
+    30: [67, 68, 78],
+    40: [66, 67, 78],
+    50: [66, 67],
+    60: [65, 66, 79],
+    70: [64, 65, 79],
+    80: [63, 64, 79],
+    90: [63, 64, 79],
+    100: [62, 63, 79],
+    110: [61, 62, 79],
+    120: [60, 61, 79],
+    130: [59, 60, 79],
+    140: [58, 59],
+    150: [57, 58],
+    160: [56, 57, 58, 80],
+    170: [55, 56, 80],
+    180: [54, 55, 56, 80],
+    190: [53, 54, 80],
+    200: [52, 53, 80],
+    210: [52, 80],
+    220: [49, 50, 51, 80],
+    230: [49, 50, 80],
+    240: [47, 48, 80],
+    250: [46, 47, 48, 80],
+    260: [45, 46],
+    270: [43, 44, 80],
+    280: [41, 42, 43],
+    290: [40, 41, 42],
+    310: [36, 37, 38, 39],
+    320: [35, 36, 37],
+    330: [34, 35],
+    350: [29, 30, 31, 32],
+    360: [28, 29, 30, 81],
+    370: [26, 27, 28],
+    380: [25, 26, 81],
+    390: [81],
+    400: [20, 21, 81],
+    410: [17, 18, 19, 20, 81],
+    420: [15, 16, 17, 18, 81],
+    430: [13, 14, 15, 16, 81],
+    440: [11, 12, 13, 14],
+    450: [9, 10, 11, 12, 81],
+    460: [7, 8, 9, 81],
+    470: [5, 6, 7, 81],
+    480: [3, 4, 81],
+    490: [2]
+  },
+  390: {
+    0: [69, 70, 77],
+    10: [68, 69, 77],
+    20: [67, 68, 77],
+    30: [67, 78],
+    40: [66, 67, 78],
+    50: [65, 66, 78],
+    60: [64, 65, 78],
+    70: [63, 64, 78],
+    80: [63, 64, 78],
+    90: [62, 63],
+    100: [61, 62, 79],
+    110: [60, 61, 79],
+    120: [59, 60, 79],
+    130: [59, 79],
+    140: [57, 58, 59, 79],
+    150: [57, 58, 79],
+    160: [55, 56, 57, 79],
+    170: [55, 56, 79],
+    180: [53, 54, 55],
+    190: [53, 54],
+    200: [51, 52],
+    210: [50, 51, 52],
+    220: [49],
+    230: [47, 48, 49, 80],
+    240: [47, 48],
+    250: [45, 46, 80],
+    260: [43, 44, 45, 80],
+    270: [43, 44, 80],
+    280: [41, 42, 80],
+    290: [39, 40, 41, 80],
+    300: [38, 39, 40, 80],
+    310: [80],
+    320: [34, 35, 36, 80],
+    330: [32, 33, 34, 35, 80],
+    340: [31, 32, 33],
+    350: [80],
+    360: [28],
+    370: [25, 26, 27, 28],
+    380: [23, 24, 25, 26],
+    390: [22, 23, 24],
+    400: [20, 21, 22],
+    430: [14, 15],
+    440: [11, 12, 13],
+    450: [9, 10, 11, 81],
+    460: [7, 8, 9, 10],
+    470: [4, 5, 6, 7, 8, 81],
+    480: [2, 3, 4, 5, 81],
+    490: [2, 3]
+  },
+  400: {
+    0: [69, 76],
+    10: [68, 69, 77],
+    20: [67, 68, 77],
+    30: [66, 67, 77],
+    40: [65, 66, 77],
+    50: [64, 65, 77, 78],
+    60: [64, 65, 78],
+    70: [63, 64, 78],
+    80: [62, 63, 78],
+    90: [61, 62, 78],
+    100: [61, 78],
+    110: [59, 60, 78],
+    120: [59, 60, 78],
+    130: [58, 59],
+    140: [57, 58, 79],
+    150: [56, 57, 79],
+    160: [55, 79],
+    170: [54, 55, 79],
+    180: [53, 54, 79],
+    190: [51, 52, 53, 79],
+    200: [51, 52, 79],
+    210: [49, 50, 51, 79],
+    220: [48, 49, 50, 79],
+    230: [47],
+    240: [45, 46, 47, 79],
+    250: [45, 46],
+    260: [43, 44],
+    270: [41, 42, 43],
+    280: [40, 41, 42],
+    290: [39],
+    300: [37, 38, 39],
+    310: [35, 36, 37, 38, 80],
+    320: [35, 80],
+    330: [32, 33, 80],
+    340: [30, 31, 32, 80],
+    350: [28, 29, 30, 31, 80],
+    360: [27, 28, 29, 80],
+    370: [80],
+    380: [24, 80],
+    390: [21, 22, 23, 80],
+    400: [19, 20, 21, 22],
+    410: [17, 18, 19, 20, 80],
+    420: [15, 16, 17, 18],
+    430: [14, 15, 16, 80],
+    440: [13, 80]
+  },
+  410: {
+    0: [68, 69, 76],
+    10: [67, 68, 76],
+    20: [66, 67, 76],
+    30: [65, 66, 77],
+    40: [65, 66, 77],
+    50: [64, 65, 77],
+    60: [63, 64, 77],
+    70: [62, 63, 77],
+    80: [61, 62],
+    90: [61, 62, 78],
+    100: [60, 61, 78],
+    110: [59, 60, 78],
+    120: [58, 59, 78],
+    130: [57, 58, 78],
+    140: [56, 57, 78],
+    150: [55, 56, 78],
+    160: [54, 55, 78],
+    170: [53, 54],
+    180: [52, 53],
+    190: [51, 52],
+    200: [50, 51, 79],
+    210: [49, 50],
+    220: [47, 48, 49, 79],
+    230: [46, 47, 48, 79],
+    240: [45, 46, 79],
+    250: [43, 44, 45, 79],
+    260: [43, 44, 79],
+    270: [41, 42, 79],
+    280: [39, 40, 41, 79],
+    290: [38, 39, 40, 79],
+    300: [79],
+    310: [35, 36, 79],
+    320: [33, 34, 35],
+    330: [32, 33, 34],
+    350: [28, 29, 30],
+    360: [26, 27, 28, 29],
+    370: [25, 26, 27],
+    380: [23, 24, 25],
+    390: [80],
+    410: [17, 18, 19, 80],
+    420: [15, 16, 17],
+    430: [13, 14, 15, 16, 80],
+    440: [11, 12, 13, 14, 80],
+    450: [9, 10, 11, 12, 80],
+    460: [7, 8, 9, 10, 80],
+    470: [5, 6, 7, 8, 80],
+    480: [4, 5, 6, 80],
+    490: [3, 4]
+  },
+  420: {
+    0: [68, 69, 75],
+    10: [67, 68, 75, 76],
+    20: [66, 67, 76],
+    30: [65, 66, 76],
+    40: [64, 65, 76],
+    50: [63, 64],
+    60: [62, 63, 77],
+    70: [62, 63, 77],
+    80: [61, 62, 77],
+    90: [60, 61, 77],
+    100: [59, 60, 77],
+    110: [58, 59, 77],
+    120: [57, 58],
+    130: [57, 78],
+    140: [55, 56, 78],
+    150: [55, 78],
+    160: [53, 54, 78],
+    170: [53, 54, 78],
+    180: [51, 52, 78],
+    190: [50, 51, 78],
+    200: [49, 50],
+    210: [48, 49, 78],
+    220: [47, 48],
+    230: [45, 46, 47],
+    240: [44, 45, 46],
+    250: [43, 44],
+    260: [41, 42, 43],
+    270: [40, 41, 42, 79],
+    280: [39, 79],
+    290: [37, 38, 39, 79],
+    300: [36, 37, 38, 79],
+    310: [35, 36, 79],
+    320: [33, 34, 79],
+    330: [31, 32, 33, 79],
+    340: [29, 30, 31, 32, 79],
+    350: [29, 30, 79],
+    360: [79],
+    370: [24, 25, 26, 79],
+    380: [22, 23, 24, 25],
+    390: [21, 22, 23],
+    400: [19, 20, 21],
+    410: [18, 19],
+    440: [12],
+    450: [9, 10, 11],
+    460: [7, 8, 9],
+    470: [5, 6, 7, 8],
+    480: [3, 4, 5, 6, 80],
+    490: [3, 4]
+  },
+  430: {
+    0: [67, 68, 74, 75],
+    10: [66, 67, 75],
+    20: [65, 66, 75],
+    30: [65, 75, 76],
+    40: [64, 65, 76],
+    50: [63, 64, 76],
+    60: [62, 63, 76],
+    70: [61, 62, 76],
+    80: [60, 61, 77],
+    90: [59, 60, 77],
+    100: [59, 77],
+    110: [57, 58, 77],
+    120: [57, 58, 77],
+    130: [56, 57, 77],
+    140: [55, 56, 77],
+    150: [54, 55, 77],
+    160: [53, 54],
+    170: [52, 53, 78],
+    180: [51, 52],
+    190: [49, 50, 51, 78],
+    200: [49, 50, 78],
+    210: [47, 48, 78],
+    220: [46, 47, 48, 78],
+    230: [45, 78],
+    240: [43, 44, 45, 78],
+    250: [43, 44, 78],
+    260: [41, 78],
+    270: [39, 40, 41],
+    280: [38, 39, 40],
+    300: [35, 36, 37],
+    310: [34, 35, 36],
+    320: [33, 34],
+    330: [79],
+    340: [29, 30, 31],
+    350: [27, 28, 29, 79],
+    360: [26, 27, 28, 79],
+    370: [25, 26, 79],
+    380: [79],
+    390: [21, 22, 79],
+    400: [19, 20, 21, 79],
+    410: [17, 18, 19, 79],
+    420: [15, 16, 17, 79],
+    430: [13, 14, 15, 16],
+    440: [12, 13, 14, 79],
+    450: [10, 11],
+    460: [79]
+  },
+  440: {
+    0: [67, 68, 74],
+    10: [66, 67, 74, 75],
+    20: [65, 66, 75],
+    30: [64, 65, 75],
+    40: [63, 64, 75],
+    50: [62, 63, 75, 76],
+    60: [61, 62, 76],
+    70: [61, 76],
+    80: [60, 61, 76],
+    90: [59, 60, 76],
+    100: [58, 59, 76],
+    110: [57, 58],
+    120: [56, 57, 77],
+    130: [55, 56, 77],
+    140: [54, 55, 77],
+    150: [53, 54, 77],
+    160: [52, 53, 77],
+    170: [51, 52, 77],
+    180: [50, 51, 77],
+    190: [49, 50],
+    200: [48, 49],
+    210: [47, 48],
+    220: [45, 46, 47],
+    230: [44, 45, 46],
+    240: [43, 78],
+    250: [41, 42, 43, 78],
+    260: [41, 42, 78],
+    270: [78],
+    280: [37, 38, 39, 78],
+    290: [36, 37, 38, 78],
+    300: [36, 78],
+    310: [33, 34, 78],
+    320: [32, 33, 34, 78],
+    330: [30, 31, 32],
+    340: [30, 78],
+    360: [25, 26, 27],
+    370: [24, 25, 26],
+    380: [22, 23, 24],
+    390: [21, 22],
+    410: [79],
+    420: [15, 16, 79],
+    430: [13, 14, 15, 79],
+    440: [11, 12, 13, 79],
+    450: [9, 10, 11, 12],
+    460: [8, 9, 10, 79],
+    470: [6, 7, 8, 79],
+    480: [4, 5, 6, 7, 79],
+    490: [4, 5, 79]
+  },
+  450: {
+    0: [66, 67, 68, 73, 74],
+    10: [65, 66, 67, 73, 74],
+    20: [65, 74],
+    30: [64, 65, 74, 75],
+    40: [63, 64, 75],
+    50: [62, 63, 75],
+    60: [61, 62, 75],
+    70: [60, 61, 75],
+    80: [59, 60, 76],
+    90: [58, 59, 76],
+    100: [57, 58, 76],
+    110: [56, 57, 76],
+    120: [55, 56, 76],
+    130: [55, 56, 76],
+    140: [53, 54, 76],
+    150: [53, 54],
+    160: [51, 52, 77],
+    170: [51, 52, 77],
+    180: [49, 50, 77],
+    190: [48, 49, 50, 77],
+    200: [47, 48, 77],
+    210: [46, 47, 77],
+    220: [46, 77],
+    230: [43, 44, 45, 77],
+    240: [43, 44],
+    250: [42],
+    260: [40, 41],
+    270: [39, 40],
+    280: [38, 78],
+    290: [36, 37],
+    300: [34, 35, 36, 78],
+    310: [33, 34, 35, 78],
+    320: [78],
+    330: [30, 31, 78],
+    340: [28, 29, 30, 78],
+    350: [27, 28, 29, 78],
+    360: [26, 27, 78],
+    380: [22, 23, 78],
+    390: [20, 21, 22],
+    400: [18, 19, 20, 21, 78],
+    410: [17, 18, 19],
+    420: [16, 17],
+    430: [15],
+    460: [9],
+    470: [6, 7],
+    480: [5, 6],
+    490: [4]
+  },
+  460: {
+    0: [66, 67, 68, 72, 73],
+    10: [65, 66, 73],
+    20: [64, 65, 73, 74],
+    30: [63, 64, 74],
+    40: [62, 63, 74],
+    50: [61, 62, 74],
+    60: [61, 75],
+    70: [60, 75],
+    80: [59, 60, 75],
+    90: [58, 59, 75],
+    100: [57, 58, 75],
+    110: [56, 57, 76],
+    120: [55, 56, 76],
+    130: [54, 55, 76],
+    140: [53, 54, 76],
+    150: [52, 53, 76],
+    160: [51, 52, 76],
+    170: [50, 51, 76],
+    180: [49, 50],
+    190: [48, 49],
+    200: [47, 48],
+    210: [45, 46, 77],
+    220: [44, 45, 46, 77],
+    230: [44, 77],
+    240: [42, 43, 77],
+    250: [41, 42, 77],
+    260: [40, 41, 77],
+    270: [38, 39, 77],
+    280: [37, 38, 77],
+    290: [36, 37, 77],
+    300: [34, 35],
+    310: [32, 33, 34],
+    320: [31, 32, 33],
+    330: [30, 31],
+    340: [28, 29],
+    350: [26, 27, 28],
+    360: [25, 26, 27, 78],
+    370: [24, 25],
+    380: [23, 78],
+    400: [19, 78],
+    410: [17, 18, 78],
+    420: [15, 16, 17, 78],
+    430: [13, 14, 15, 78],
+    440: [12, 13, 14, 78],
+    450: [10, 11, 12, 78],
+    460: [9, 10, 78],
+    470: [7, 8, 78],
+    480: [6],
+    490: [78]
+  },
+  470: {
+    0: [66, 67, 68, 71, 72],
+    10: [65, 66, 72, 73],
+    20: [64, 65, 73],
+    30: [63, 64, 73],
+    40: [62, 63, 74],
+    50: [61, 62, 74],
+    60: [60, 61, 74],
+    70: [59, 60, 74],
+    80: [58, 59, 75],
+    90: [57, 58, 75],
+    100: [56, 57, 75],
+    110: [56, 75],
+    120: [54, 55, 75],
+    130: [54, 55, 75],
+    140: [53],
+    150: [52, 53, 76],
+    160: [50, 51, 52, 76],
+    170: [49, 50, 51, 76],
+    180: [48, 49, 76],
+    190: [48, 76],
+    200: [46, 47, 76],
+    210: [45, 46, 76],
+    220: [44, 45, 76],
+    230: [43, 44],
+    240: [42, 43],
+    250: [40, 41],
+    260: [39, 40, 77],
+    270: [38, 39, 77],
+    280: [36, 37, 77],
+    290: [35, 36, 77],
+    300: [34, 35, 77],
+    310: [77],
+    320: [31, 32, 77],
+    330: [29, 30, 31, 77],
+    340: [28, 29, 30, 77],
+    350: [27, 28, 77],
+    360: [25],
+    370: [23, 24, 25],
+    380: [21, 22, 23],
+    390: [20, 21, 22],
+    400: [19, 20],
+    410: [18],
+    420: [78],
+    430: [14],
+    440: [12, 13, 78],
+    450: [10, 11, 12, 78],
+    460: [8, 9, 10, 78],
+    470: [7, 8, 9, 78],
+    480: [5, 6, 7],
+    490: [5, 6, 78],
+    500: [78]
+  },
+  480: {
+    0: [66, 67, 68, 69, 70, 71, 72],
+    10: [65, 66, 71, 72],
+    20: [64, 65, 72],
+    30: [63, 64, 72, 73],
+    40: [62, 63, 73],
+    50: [61, 62, 73],
+    60: [60, 61, 74],
+    70: [59, 60, 74],
+    80: [58, 59, 74],
+    90: [57, 58, 74],
+    100: [56, 57, 74],
+    110: [55, 56, 75],
+    120: [54, 55, 75],
+    130: [53, 54, 75],
+    140: [52, 53, 75],
+    150: [51, 52, 75],
+    160: [50, 51, 75],
+    170: [49, 50],
+    180: [48, 49],
+    190: [47, 48],
+    200: [46, 47, 76],
+    210: [44, 45, 46, 76],
+    220: [44, 45, 76],
+    230: [42, 43, 76],
+    240: [41, 42, 76],
+    250: [40, 41, 76],
+    260: [38, 39, 76],
+    270: [37, 38, 39, 76],
+    280: [36, 37],
+    290: [35],
+    300: [33, 34, 35],
+    310: [32, 33],
+    320: [31, 32, 77],
+    330: [29, 77],
+    340: [27, 28, 29, 77],
+    350: [26, 27, 28, 77],
+    360: [25, 26, 77],
+    370: [24, 77],
+    380: [77],
+    390: [20, 21, 77],
+    400: [18, 19, 20, 77],
+    410: [17, 18, 19, 77],
+    420: [15, 16, 17],
+    430: [14, 15, 77],
+    440: [13, 14]
+  },
+  490: {
+    0: [66, 67, 68, 69, 70, 71],
+    10: [64, 65, 66, 70, 71],
+    20: [63, 64, 65, 71, 72],
+    30: [62, 63, 72],
+    40: [61, 62, 72, 73],
+    50: [60, 61, 73],
+    60: [59, 60, 73],
+    70: [58, 59, 73],
+    80: [58, 74],
+    90: [57, 74],
+    100: [55, 56, 74],
+    110: [55, 56, 74],
+    120: [54, 74],
+    130: [53, 54, 74],
+    140: [52, 53, 75],
+    150: [50, 51, 75],
+    160: [50, 51, 75],
+    170: [48, 49, 75],
+    180: [48, 49, 75],
+    190: [46, 47, 75],
+    200: [45, 46, 75],
+    210: [45, 75],
+    220: [43, 44],
+    230: [42, 43],
+    240: [41, 76],
+    250: [39, 40, 41, 76],
+    260: [38, 39, 40, 76],
+    270: [37, 76],
+    280: [35, 36, 37, 76],
+    290: [34, 35, 36, 76],
+    300: [34, 76],
+    310: [31, 32, 33, 76],
+    320: [30, 31, 32],
+    330: [29, 30, 76],
+    340: [28, 29],
+    350: [26],
+    360: [24, 25, 26],
+    370: [23, 24, 25],
+    380: [22, 23, 77],
+    390: [21, 22, 77],
+    400: [77],
+    410: [17, 77],
+    420: [15, 16, 77],
+    430: [13, 14, 15, 77],
+    440: [12, 13, 14],
+    450: [10, 11, 12, 77],
+    460: [9, 10, 11, 77],
+    470: [7, 8, 9, 77],
+    480: [6, 7, 8, 77],
+    490: [5, 6]
+  },
+  500: {
+    0: [66, 67, 68, 69, 70],
+    10: [64, 65, 66, 67, 69, 70, 71],
+    20: [63, 64, 65, 70, 71],
+    30: [62, 63, 71, 72],
+    40: [61, 62, 72],
+    50: [60, 61, 72],
+    60: [59, 60, 72, 73],
+    70: [58, 59, 73],
+    80: [57, 58, 73],
+    90: [56, 57, 73],
+    100: [55, 56, 73],
+    110: [54, 55, 74],
+    120: [53, 54, 74],
+    130: [52, 53, 74],
+    140: [51, 52, 74],
+    150: [50, 51, 74],
+    160: [49, 50, 74],
+    170: [48, 49],
+    180: [47, 48, 75],
+    190: [46, 47, 75],
+    200: [45, 75],
+    210: [44, 45, 75],
+    220: [43, 44, 75],
+    230: [41, 42, 75],
+    240: [40, 41, 42, 75],
+    250: [39, 40],
+    260: [38, 39],
+    270: [37, 38],
+    280: [36],
+    290: [34, 35, 76],
+    300: [33, 34],
+    310: [32, 33, 76],
+    320: [30, 76],
+    330: [28, 29, 30, 76],
+    340: [27, 28, 29],
+    350: [26, 27, 76],
+    360: [25, 26],
+    370: [23, 76],
+    380: [21, 22, 23],
+    390: [20, 21],
+    400: [18, 19, 20],
+    410: [17, 18, 19],
+    420: [16, 17],
+    450: [11, 77],
+    460: [9, 10],
+    470: [7, 8, 9, 77],
+    480: [6, 7, 77],
+    490: [5, 6],
+    500: [5]
+  },
+  510: {
+    0: [66, 67, 68, 69],
+    10: [64, 65, 66, 67, 68, 69, 70],
+    20: [63, 64, 65, 69, 70, 71],
+    30: [62, 63, 70, 71],
+    40: [61, 62, 71],
+    50: [60, 61, 71, 72],
+    60: [59, 60, 72],
+    70: [58, 59, 72],
+    80: [57, 58, 72, 73],
+    90: [56, 73],
+    100: [55, 56, 73],
+    110: [54, 55, 73],
+    120: [53, 54, 73],
+    130: [52, 53],
+    140: [51, 52, 74],
+    150: [50, 51, 74],
+    160: [49, 50, 74],
+    170: [48, 49, 74],
+    180: [47, 48, 74],
+    190: [45, 46, 74],
+    200: [45, 46, 74],
+    210: [43, 44],
+    220: [42, 43, 75],
+    230: [42, 75],
+    240: [40, 41, 75],
+    250: [39, 40, 75],
+    260: [38, 39, 75],
+    270: [36, 37, 75],
+    280: [35, 36, 75],
+    290: [34, 35],
+    300: [32, 33, 75],
+    310: [31, 32],
+    320: [30, 31],
+    330: [29, 30],
+    340: [27],
+    350: [25, 26, 27, 76],
+    360: [24, 25, 26],
+    370: [23, 24, 76],
+    380: [22, 23, 76],
+    390: [76],
+    400: [18, 19, 76],
+    410: [17, 18, 76],
+    420: [15, 16, 17, 76],
+    430: [14, 15, 16, 76],
+    440: [12, 13, 14, 76],
+    450: [11, 12, 13],
+    460: [10, 11],
+    470: [9]
+  },
+  520: {
+    0: [66, 67, 68],
+    10: [64, 65, 66, 67, 68, 69],
+    20: [63, 64, 65, 68, 69, 70],
+    30: [62, 63, 70],
+    40: [61, 62, 70, 71],
+    50: [60, 71],
+    60: [59, 71, 72],
+    70: [57, 58, 72],
+    80: [56, 57, 72],
+    90: [55, 56, 72],
+    100: [55, 72],
+    110: [54, 73],
+    120: [52, 53, 73],
+    130: [52, 73],
+    140: [50, 51, 73],
+    150: [50, 51, 73],
+    160: [48, 49, 73],
+    170: [48, 74],
+    180: [46, 47, 74],
+    190: [46, 74],
+    200: [44, 45, 74],
+    210: [43, 44, 74],
+    220: [42, 43, 74],
+    230: [41, 42, 74],
+    240: [40, 41],
+    250: [38, 39],
+    260: [37, 38, 75],
+    270: [37],
+    280: [35, 75],
+    290: [33, 34, 35, 75],
+    300: [32, 33, 34, 75],
+    310: [32, 75],
+    320: [29, 30, 75],
+    330: [28, 29, 30, 75],
+    340: [27, 28, 75],
+    350: [26, 27],
+    360: [24],
+    370: [23, 24],
+    380: [21, 22, 23],
+    390: [20, 21],
+    400: [19, 20],
+    410: [18, 76],
+    420: [76],
+    430: [14, 76],
+    440: [12, 13, 14, 76],
+    450: [11, 12, 76],
+    460: [9, 10, 11, 76],
+    470: [8, 9, 10],
+    480: [7, 8, 76],
+    490: [6, 7],
+    500: [6]
+  },
+  530: {
+    10: [64, 65, 66, 67, 68],
+    20: [63, 64, 65, 66, 67, 68, 69],
+    30: [62, 63, 69, 70],
+    40: [60, 61, 62, 69, 70],
+    50: [59, 60, 70, 71],
+    60: [58, 59, 71],
+    70: [57, 58, 71],
+    80: [56, 57, 71],
+    90: [55, 56, 72],
+    100: [54, 55, 72],
+    110: [53, 54, 72],
+    120: [52, 53, 72],
+    130: [51, 52, 72, 73],
+    140: [50, 51, 73],
+    150: [49, 50, 73],
+    160: [48, 49, 73],
+    170: [47, 48, 73],
+    180: [46, 47, 73],
+    190: [45, 46, 73],
+    200: [44, 45],
+    210: [43, 74],
+    220: [42, 43, 74],
+    230: [40, 41, 74],
+    240: [39, 40, 74],
+    250: [38, 39, 74],
+    260: [37],
+    270: [36, 37, 74],
+    280: [35, 36],
+    300: [32, 33],
+    310: [31, 32],
+    320: [30, 31, 75],
+    330: [28, 75],
+    340: [27, 28, 75],
+    350: [25, 26, 27, 75],
+    360: [24, 25, 26, 75],
+    370: [23, 24, 75],
+    380: [75],
+    390: [20, 21],
+    400: [18, 19, 20, 75],
+    410: [17, 18, 19],
+    420: [16, 17],
+    430: [14, 15, 16],
+    440: [13, 14],
+    480: [7, 76],
+    490: [6]
+  },
+  540: {
+    10: [65, 66, 67],
+    20: [63, 64, 65, 66, 67, 68],
+    30: [61, 62, 63, 67, 68, 69],
+    40: [60, 61, 62, 69],
+    50: [59, 60, 69, 70],
+    60: [58, 59, 70],
+    70: [57, 58, 70, 71],
+    80: [56, 57, 71],
+    90: [55, 56, 71],
+    100: [54, 55, 71],
+    110: [53, 54, 71, 72],
+    120: [52, 53, 72],
+    130: [51, 52, 72],
+    140: [50, 51, 72],
+    150: [49, 50, 72],
+    160: [48, 49],
+    170: [47, 48, 73],
+    180: [46, 47, 73],
+    190: [45, 46, 73],
+    200: [43, 44, 73],
+    210: [43, 44, 73],
+    220: [41, 42, 73],
+    230: [40, 41],
+    240: [39, 40],
+    250: [38, 39, 74],
+    260: [37, 38, 74],
+    270: [37, 74],
+    280: [34, 35, 74],
+    290: [33, 34, 74],
+    300: [32, 33, 74],
+    310: [30, 31, 74],
+    320: [29, 30, 74],
+    330: [28, 29],
+    340: [27, 28],
+    360: [24, 25],
+    370: [22, 23, 24, 75],
+    380: [21, 22, 23, 75],
+    390: [20, 21, 75],
+    400: [75],
+    420: [16, 75],
+    430: [14, 15, 75],
+    440: [13, 14, 75],
+    450: [11, 12, 13, 75],
+    460: [10, 11, 12, 75],
+    470: [9, 10, 75],
+    480: [8, 9],
+    490: [7]
+  },
+  550: {
+    10: [66],
+    20: [63, 64, 65, 66, 67],
+    30: [61, 62, 63, 64, 65, 66, 67, 68],
+    40: [60, 61, 62, 68, 69],
+    50: [59, 60, 69],
+    60: [58, 59, 69, 70],
+    70: [57, 58, 70],
+    80: [56, 57, 70],
+    90: [55, 56, 70, 71],
+    100: [54, 55, 71],
+    110: [53, 54, 71],
+    120: [52, 71],
+    130: [51, 52],
+    140: [50, 51, 72],
+    150: [49, 72],
+    160: [47, 48, 49, 72],
+    170: [47, 72],
+    180: [45, 46, 72],
+    190: [44, 45],
+    200: [43, 44, 73],
+    210: [42, 43, 73],
+    220: [41, 42, 73],
+    230: [40, 73],
+    240: [39, 40, 73],
+    250: [38, 39],
+    260: [36, 37, 73],
+    270: [35, 36],
+    280: [35],
+    290: [33],
+    300: [32, 33, 74],
+    310: [31, 32, 74],
+    320: [30, 74],
+    330: [28, 29, 74],
+    340: [26, 27, 28, 74],
+    350: [25, 26, 27, 74],
+    360: [25, 74],
+    370: [74],
+    380: [21, 22],
+    390: [20, 21],
+    400: [18, 19, 20],
+    410: [17, 18, 19],
+    420: [16, 17, 75],
+    430: [16],
+    440: [75],
+    450: [12, 75],
+    460: [10, 11, 75],
+    470: [9, 10, 75],
+    480: [7, 8, 9, 75],
+    490: [7, 8, 75]
+  },
+  560: {
+    20: [63, 64, 65, 66],
+    30: [61, 62, 63, 64, 65, 66, 67],
+    40: [60, 61, 62, 67, 68],
+    50: [59, 60, 68, 69],
+    60: [58, 59, 68, 69],
+    70: [56, 57, 58, 69],
+    80: [55, 56, 69, 70],
+    90: [54, 55, 70],
+    100: [54, 70],
+    110: [52, 53, 70],
+    120: [51, 52, 71],
+    130: [51, 71],
+    140: [49, 50, 71],
+    150: [48, 49, 71],
+    160: [47, 48, 72],
+    170: [46, 47, 72],
+    180: [45, 46, 72],
+    190: [44, 45, 72],
+    200: [43, 44, 72],
+    210: [42, 43, 72],
+    220: [41, 42, 72],
+    230: [40, 41],
+    240: [39, 73],
+    250: [37, 38, 73],
+    260: [37, 73],
+    270: [35, 73],
+    280: [34, 35, 73],
+    290: [33, 34, 73],
+    300: [73],
+    310: [30, 31],
+    320: [29, 30],
+    330: [28, 29],
+    340: [74],
+    350: [25, 26, 74],
+    360: [24, 25, 74],
+    370: [23, 24, 74],
+    380: [22, 23, 74],
+    390: [21, 74],
+    400: [19, 74],
+    410: [17, 18, 74],
+    420: [16, 17],
+    430: [15, 16, 74],
+    440: [13, 14, 15],
+    450: [12, 13],
+    460: [11, 12],
+    470: [10],
+    490: [75]
+  },
+  570: {
+    20: [64],
+    30: [62, 63, 64, 65, 66],
+    40: [60, 61, 62, 63, 64, 65, 66, 67],
+    50: [59, 60, 67, 68],
+    60: [58, 59, 68],
+    70: [56, 57, 58, 68, 69],
+    80: [55, 56, 69],
+    90: [54, 55, 69],
+    100: [53, 54, 70],
+    110: [52, 53, 70],
+    120: [51, 52, 70],
+    130: [50, 51, 70],
+    140: [49, 50, 71],
+    150: [48, 49, 71],
+    160: [47, 48, 71],
+    170: [46, 47, 71],
+    180: [45, 46, 71],
+    190: [44, 45],
+    200: [43, 44, 72],
+    210: [42, 43, 72],
+    220: [41, 42, 72],
+    230: [39, 40, 72],
+    240: [39, 72],
+    250: [37, 38, 72],
+    260: [36, 37],
+    270: [35, 36, 73],
+    280: [35, 73],
+    290: [32, 33, 73],
+    300: [31, 32, 33, 73],
+    310: [31, 73],
+    320: [29, 73],
+    330: [28, 29, 73],
+    340: [26, 27, 28, 73],
+    350: [26, 27, 73],
+    360: [25],
+    370: [23],
+    380: [21, 22],
+    390: [20, 21],
+    400: [19, 20, 74],
+    410: [18, 19, 74],
+    420: [74],
+    430: [74],
+    440: [13, 14],
+    450: [12, 13, 74],
+    460: [11, 12],
+    470: [9, 10, 11, 74],
+    480: [8, 9, 10, 74],
+    490: [8]
+  },
+  580: {
+    30: [62, 63, 64, 65],
+    40: [60, 61, 62, 63, 64, 65, 66],
+    50: [59, 60, 61, 65, 66, 67],
+    60: [58, 59, 67, 68],
+    70: [56, 57, 67, 68],
+    80: [55, 56, 68, 69],
+    90: [54, 55, 68, 69],
+    100: [53, 54, 69],
+    110: [52, 53, 69, 70],
+    120: [51, 52, 70],
+    130: [50, 51, 70],
+    140: [49, 50, 70],
+    150: [48, 49, 70],
+    160: [47, 48, 71],
+    170: [46, 47, 71],
+    180: [45, 46, 71],
+    190: [44, 45, 71],
+    200: [43, 71],
+    210: [42, 43, 71],
+    220: [40, 41],
+    230: [40, 72],
+    240: [38, 39, 72],
+    250: [37, 38, 72],
+    260: [37, 72],
+    270: [35, 72],
+    280: [34, 35, 72],
+    290: [33, 34, 72],
+    300: [31, 32],
+    310: [30, 31, 73],
+    320: [29, 30],
+    330: [28, 29, 73],
+    340: [26, 27, 73],
+    350: [25, 26, 73],
+    360: [24, 25, 73],
+    370: [23, 24, 73],
+    380: [22, 23, 73],
+    390: [20, 73],
+    400: [19, 20],
+    410: [17, 18, 19],
+    420: [16, 17, 18],
+    430: [15, 16],
+    440: [14, 15],
+    450: [13, 14, 74],
+    470: [74],
+    480: [9, 74],
+    490: [8]
+  },
+  590: {
+    30: [63, 64],
+    40: [60, 61, 62, 63, 64, 65, 66],
+    50: [59, 60, 61, 62, 63, 64, 65, 66],
+    60: [57, 58, 59, 66, 67],
+    70: [56, 57, 58, 67, 68],
+    80: [55, 56, 67, 68],
+    90: [54, 55, 68],
+    100: [53, 54, 68, 69],
+    110: [52, 53, 69],
+    120: [51, 52, 69],
+    130: [50, 51, 69],
+    140: [49, 50, 69, 70],
+    150: [48, 49, 70],
+    160: [47, 48, 70],
+    170: [46, 70],
+    180: [44, 45, 46, 70],
+    190: [44, 71],
+    200: [42, 43, 71],
+    210: [41, 42, 71],
+    220: [41, 71],
+    230: [39, 40, 71],
+    240: [38, 39, 71],
+    250: [37, 38],
+    260: [36, 37, 72],
+    270: [35, 36, 72],
+    280: [34, 72],
+    290: [32, 33, 72],
+    300: [31, 32, 72],
+    310: [31, 72],
+    320: [29, 72],
+    330: [28, 29],
+    340: [27, 28],
+    350: [26],
+    360: [24],
+    370: [23, 24, 73],
+    380: [21, 22, 23],
+    390: [20, 21, 22, 73],
+    400: [20, 73],
+    410: [73],
+    420: [17, 73],
+    430: [15, 16, 73],
+    440: [14, 15, 73],
+    450: [12, 13, 14],
+    460: [11, 12, 13, 73],
+    470: [10, 11],
+    480: [9, 10],
+    490: [9]
+  },
+  600: {
+    40: [61, 62, 63, 64],
+    50: [59, 60, 61, 62, 63, 64, 65],
+    60: [57, 58, 59, 60, 65, 66],
+    70: [56, 57, 58, 66, 67],
+    80: [55, 56, 67],
+    90: [54, 55, 67, 68],
+    100: [53, 54, 68],
+    110: [52, 53, 68],
+    120: [51, 52, 68, 69],
+    130: [50, 51, 69],
+    140: [49, 50, 69],
+    150: [48, 69],
+    160: [47],
+    170: [45, 46, 70],
+    180: [45, 70],
+    190: [43, 44, 70],
+    200: [42, 43, 70],
+    210: [41, 42],
+    220: [40, 41, 71],
+    230: [39, 40, 71],
+    240: [38, 71],
+    250: [37, 38, 71],
+    260: [36, 37, 71],
+    270: [34, 35, 71],
+    280: [34, 35, 71],
+    290: [33],
+    300: [31, 32, 72],
+    310: [30, 31],
+    320: [29, 30, 72],
+    330: [29],
+    340: [26, 27, 72],
+    350: [25, 26, 72],
+    360: [24, 25, 72],
+    370: [23, 24],
+    380: [72],
+    390: [20, 21],
+    400: [19, 20],
+    410: [18, 19, 73],
+    420: [17, 18],
+    430: [16, 17, 73],
+    440: [15, 73],
+    450: [73],
+    460: [12, 73],
+    470: [10, 11],
+    480: [9, 10, 73],
+    490: [9]
+  },
+  610: {
+    50: [59, 60, 61, 62, 63, 64],
+    60: [58, 59, 60, 61, 62, 63, 64, 65],
+    70: [56, 57, 58, 65, 66],
+    80: [55, 56, 57, 66, 67],
+    90: [54, 55, 66, 67],
+    100: [53, 54, 67],
+    110: [52, 53, 67, 68],
+    120: [51, 52, 68],
+    130: [49, 50, 68],
+    140: [49, 69],
+    150: [47, 48, 69],
+    160: [46, 47, 69],
+    170: [45, 46, 69],
+    180: [44, 45, 69],
+    190: [43, 44, 70],
+    200: [42, 43, 70],
+    210: [41, 42, 70],
+    220: [40, 41, 70],
+    230: [39, 40, 70],
+    240: [38, 39],
+    250: [37, 38, 71],
+    260: [36, 37, 71],
+    270: [35, 36, 71],
+    280: [33, 34, 71],
+    290: [32, 33, 71],
+    300: [31, 32, 71],
+    310: [30, 31, 71],
+    320: [29, 30],
+    330: [28, 29],
+    340: [27, 28, 72],
+    360: [24, 25, 72],
+    370: [23, 24],
+    380: [22, 23, 72],
+    390: [21, 22, 72],
+    400: [20, 72],
+    410: [18, 72],
+    420: [17, 72],
+    430: [15, 16, 17],
+    440: [14, 15, 16],
+    450: [13, 14],
+    460: [12, 13],
+    470: [11, 12],
+    480: [10, 11, 73]
+  },
+  620: {
+    50: [60, 61, 62, 63],
+    60: [58, 59, 60, 61, 62, 63, 64],
+    70: [57, 58, 59, 63, 64, 65],
+    80: [55, 56, 57, 65, 66],
+    90: [54, 55, 66],
+    100: [53, 54, 66, 67],
+    110: [52, 53, 67],
+    120: [51, 52, 67],
+    130: [49, 50, 51, 67, 68],
+    140: [48, 49, 68],
+    150: [48, 68],
+    160: [46, 47, 68, 69],
+    170: [45, 46, 69],
+    180: [44, 45, 69],
+    190: [43, 44, 69],
+    200: [42, 43, 69],
+    210: [41, 42, 69],
+    220: [40, 41],
+    230: [39, 40, 70],
+    240: [38, 70],
+    250: [37, 38, 70],
+    260: [36, 37, 70],
+    270: [34, 35, 70],
+    280: [34],
+    290: [32, 33, 71],
+    300: [31, 32],
+    310: [30, 31, 71],
+    320: [29, 30, 71],
+    330: [28, 71],
+    340: [26, 27],
+    350: [25, 26, 71],
+    360: [25],
+    370: [24],
+    380: [22],
+    390: [20, 21],
+    400: [19, 20, 72],
+    410: [18, 19],
+    420: [18, 72],
+    430: [17, 72],
+    440: [72],
+    450: [13, 14, 72],
+    460: [12, 13, 72],
+    470: [11, 12, 72],
+    480: [10, 11],
+    490: [9, 10],
+    500: [9]
+  },
+  630: {
+    50: [61],
+    60: [58, 59, 60, 61, 62, 63],
+    70: [57, 58, 59, 60, 61, 62, 63, 64],
+    80: [55, 56, 57, 64, 65],
+    90: [54, 55, 56, 65, 66],
+    100: [53, 54, 66],
+    110: [52, 53, 66, 67],
+    120: [50, 51, 52, 66, 67],
+    130: [50, 51, 67],
+    140: [48, 49, 67],
+    150: [47, 48, 68],
+    160: [47, 68],
+    170: [45, 46, 68],
+    180: [44, 45, 68],
+    190: [43, 44, 68, 69],
+    200: [42, 43, 69],
+    210: [41, 42, 69],
+    220: [40, 41, 69],
+    230: [39, 69],
+    240: [38, 39, 69],
+    250: [37, 38, 70],
+    260: [36, 70],
+    270: [35, 70],
+    280: [33, 34, 70],
+    290: [32, 33, 70],
+    300: [32, 70],
+    310: [30],
+    320: [29, 30],
+    330: [28, 29, 71],
+    340: [27, 28, 71],
+    350: [25, 71],
+    360: [24, 25, 71],
+    370: [23, 24, 71],
+    380: [22, 23],
+    390: [21, 22, 71],
+    410: [18, 19],
+    420: [17, 18],
+    430: [16, 17],
+    440: [15, 16, 72],
+    450: [14, 15, 72],
+    460: [13, 14, 72],
+    470: [12, 72],
+    480: [72],
+    490: [9, 72]
+  },
+  640: {
+    60: [59, 60, 61, 62],
+    70: [57, 58, 59, 60, 61, 62, 63],
+    80: [55, 56, 57, 58, 62, 63, 64],
+    90: [54, 55, 56, 64, 65],
+    100: [53, 54, 65],
+    110: [52, 53, 65, 66],
+    120: [50, 51, 66],
+    130: [49, 50, 66],
+    140: [48, 49, 67],
+    150: [47, 48, 67],
+    160: [46, 47, 67],
+    170: [45, 46, 67, 68],
+    180: [44, 45, 68],
+    190: [43, 44, 68],
+    200: [42, 43, 68],
+    210: [41, 42],
+    220: [40, 69],
+    230: [39, 40, 69],
+    240: [38, 69],
+    250: [37, 69],
+    260: [36, 37, 69],
+    270: [34, 35],
+    280: [34, 70],
+    290: [32, 33],
+    300: [31, 32, 70],
+    310: [30, 31, 70],
+    320: [29, 30, 70],
+    330: [28],
+    340: [26, 27, 70],
+    350: [26, 27],
+    360: [25],
+    370: [23, 71],
+    380: [22, 23],
+    390: [21, 22, 71],
+    400: [20, 21],
+    410: [19, 20, 71],
+    420: [18, 71],
+    430: [71],
+    440: [15, 71],
+    450: [14, 15],
+    460: [13, 14],
+    470: [11, 12, 13],
+    480: [10, 11, 12],
+    490: [10, 72]
+  },
+  650: {
+    70: [57, 58, 59, 60, 61, 62],
+    80: [56, 57, 58, 59, 60, 61, 62, 63],
+    90: [54, 55, 56, 57, 62, 63, 64],
+    100: [53, 54, 55, 64, 65],
+    110: [52, 53, 64, 65],
+    120: [51, 52, 65, 66],
+    130: [49, 50, 65, 66],
+    140: [48, 49, 66],
+    150: [47, 48, 66, 67],
+    160: [46, 47, 67],
+    170: [45, 46, 67],
+    180: [44, 45, 67],
+    190: [43, 44],
+    200: [42, 43, 68],
+    210: [41, 42, 68],
+    220: [40, 41, 68],
+    230: [39, 68],
+    240: [38, 39],
+    250: [36, 37, 38, 69],
+    260: [36, 69],
+    270: [35, 69],
+    280: [33, 34, 69],
+    290: [32, 33, 69],
+    300: [32],
+    310: [30],
+    320: [29, 30, 70],
+    330: [28, 29, 70],
+    340: [27, 28, 70],
+    350: [25, 26, 70],
+    360: [24, 25, 70],
+    370: [23, 24],
+    380: [23, 70],
+    390: [22],
+    400: [20],
+    410: [19, 71],
+    420: [17, 18, 19],
+    430: [17, 18, 71],
+    440: [16, 71],
+    450: [15, 71],
+    460: [71],
+    470: [71],
+    480: [11, 71],
+    490: [10]
+  },
+  660: {
+    70: [59, 60, 61],
+    80: [56, 57, 58, 59, 60, 61, 62],
+    90: [55, 56, 57, 58, 61, 62, 63],
+    100: [53, 54, 55, 63, 64],
+    110: [52, 53, 64],
+    120: [51, 52, 64, 65],
+    130: [50, 51, 65],
+    140: [48, 49, 65, 66],
+    150: [47, 48, 66],
+    160: [46, 47, 66],
+    170: [45, 46, 66],
+    180: [44, 45, 67],
+    190: [43, 44, 67],
+    200: [42, 43, 67],
+    210: [41, 42, 67],
+    220: [40, 41, 68],
+    230: [39, 40, 68],
+    240: [38, 39, 68],
+    250: [37, 68],
+    260: [36, 37],
+    270: [34, 35, 68],
+    280: [34],
+    290: [32, 33, 69],
+    300: [31, 32, 69],
+    310: [30, 31, 69],
+    320: [30],
+    330: [28, 69],
+    340: [27, 28],
+    350: [26, 27],
+    360: [25, 26, 70],
+    370: [23, 24, 70],
+    380: [22, 23, 70],
+    390: [21, 22, 70],
+    400: [20, 21, 70],
+    410: [20],
+    420: [70],
+    430: [17],
+    440: [15, 16],
+    450: [14, 15],
+    460: [13, 14],
+    470: [12, 13, 71],
+    480: [11, 12, 71],
+    490: [11]
+  },
+  670: {
+    80: [57, 58, 59, 60, 61],
+    90: [55, 56, 57, 58, 59, 60, 61, 62],
+    100: [54, 55, 56, 61, 62, 63],
+    110: [52, 53, 54, 63],
+    120: [51, 52, 63, 64],
+    130: [49, 50, 51, 64, 65],
+    140: [48, 49, 50, 65],
+    150: [47, 48, 65],
+    160: [46, 47, 65, 66],
+    170: [45, 46, 66],
+    180: [44, 45, 66],
+    190: [43, 44, 66, 67],
+    200: [42, 43],
+    210: [41, 42, 67],
+    220: [40, 41, 67],
+    230: [39, 40, 67],
+    240: [38],
+    250: [37, 38, 68],
+    260: [36, 68],
+    270: [35, 68],
+    280: [33, 34, 68],
+    290: [32, 33, 68],
+    300: [32],
+    310: [30, 69],
+    320: [29, 30, 69],
+    330: [28, 29, 69],
+    340: [28, 69],
+    350: [26, 69],
+    360: [25],
+    370: [24, 25, 69],
+    380: [23, 24],
+    390: [21],
+    400: [20, 21, 70],
+    410: [19, 20],
+    420: [18, 19, 70],
+    430: [17, 18],
+    440: [16, 17, 70],
+    450: [70],
+    460: [70],
+    470: [12, 13, 70],
+    480: [11, 12],
+    490: [11]
+  },
+  680: {
+    80: [58, 59],
+    90: [56, 57, 58, 59, 60, 61],
+    100: [54, 55, 56, 57, 58, 59, 60, 61, 62],
+    110: [52, 53, 54, 55, 62, 63],
+    120: [51, 52, 53, 62, 63],
+    130: [50, 51, 63, 64],
+    140: [48, 49, 50, 64],
+    150: [47, 48, 49, 64, 65],
+    160: [46, 47, 65],
+    170: [45, 46, 65],
+    180: [44, 45, 65],
+    190: [43, 44, 66],
+    200: [42, 43, 66],
+    210: [41, 42, 66],
+    220: [40, 41, 67],
+    230: [39, 40, 67],
+    240: [38, 39, 67],
+    250: [37, 67],
+    260: [36, 37, 67],
+    270: [34, 35],
+    280: [34, 68],
+    290: [32, 33, 68],
+    300: [31, 32, 68],
+    310: [30, 31, 68],
+    320: [30, 68],
+    330: [28],
+    340: [27, 28],
+    350: [26, 27, 69],
+    360: [26, 69],
+    370: [24, 69],
+    380: [23, 69],
+    390: [22, 69],
+    400: [21, 22],
+    410: [20, 69],
+    420: [18],
+    430: [17, 18],
+    440: [16, 17, 70],
+    450: [15, 16],
+    460: [14, 15, 70],
+    470: [13, 14, 70],
+    480: [12, 13, 70],
+    490: [70]
+  },
+  690: {
+    90: [57, 58, 59],
+    100: [54, 55, 56, 57, 58, 59, 60, 61],
+    110: [52, 53, 54, 55, 56, 59, 60, 61, 62],
+    120: [51, 52, 53, 61, 62],
+    130: [50, 51, 62, 63],
+    140: [49, 50, 63, 64],
+    150: [47, 48, 49, 64],
+    160: [46, 47, 48, 64],
+    170: [45, 46, 64, 65],
+    180: [44, 45, 65],
+    190: [43, 44, 65],
+    200: [42, 43, 65, 66],
+    210: [41, 42, 66],
+    220: [40, 41, 66],
+    230: [39, 40, 66],
+    240: [38, 66],
+    250: [37, 38, 67],
+    260: [36, 67],
+    270: [35, 67],
+    280: [33, 34, 67],
+    290: [32, 33, 67],
+    300: [32, 68],
+    310: [30],
+    320: [29, 30, 68],
+    330: [28, 29, 68],
+    340: [28, 68],
+    350: [26],
+    360: [25, 26, 68],
+    370: [24, 25],
+    380: [24],
+    390: [22, 69],
+    400: [20, 21, 69],
+    410: [20, 69],
+    420: [19, 69],
+    430: [18, 69],
+    440: [17],
+    450: [15, 69],
+    460: [14],
+    470: [13, 14],
+    480: [12, 13],
+    490: [12]
+  },
+  700: {
+    100: [55, 56, 57, 58, 59, 60],
+    110: [53, 54, 55, 56, 57, 58, 59, 60, 61],
+    120: [51, 52, 53, 54, 60, 61, 62],
+    130: [50, 51, 52, 61, 62],
+    140: [49, 50, 62, 63],
+    150: [48, 49, 63],
+    160: [46, 47, 63, 64],
+    170: [45, 46, 47, 64],
+    180: [44, 45, 64],
+    190: [43, 44, 65],
+    200: [42, 43, 65],
+    210: [41, 42, 65],
+    220: [40, 41, 65],
+    230: [39, 66],
+    240: [38, 39, 66],
+    250: [37, 66],
+    260: [36, 37, 66],
+    270: [35, 36, 66, 67],
+    280: [34, 67],
+    290: [33, 34, 67],
+    300: [31, 32, 67],
+    310: [31, 67],
+    320: [30],
+    330: [28, 29],
+    340: [27, 28, 68],
+    350: [26, 27, 68],
+    360: [26, 68],
+    370: [24, 68],
+    380: [23, 24, 68],
+    390: [22, 23],
+    400: [21, 22, 68],
+    410: [21],
+    420: [19],
+    430: [17, 18, 69],
+    440: [17],
+    450: [16, 69],
+    460: [15, 69],
+    470: [14, 69],
+    480: [13, 69]
+  },
+  710: {
+    100: [56, 57, 58],
+    110: [54, 55, 56, 57, 58, 59, 60],
+    120: [52, 53, 54, 55, 56, 58, 59, 60, 61],
+    130: [50, 51, 52, 53, 60, 61],
+    140: [49, 50, 51, 61, 62],
+    150: [48, 49, 62, 63],
+    160: [47, 48, 62, 63],
+    170: [45, 46, 63],
+    180: [44, 45, 46, 63, 64],
+    190: [43, 44, 64],
+    200: [42, 43, 64],
+    210: [41, 42, 65],
+    220: [40, 41, 65],
+    230: [39, 40, 65],
+    240: [38, 39],
+    250: [37, 38, 66],
+    260: [36, 37, 66],
+    270: [35, 36, 66],
+    280: [34, 35, 66],
+    290: [33, 66],
+    300: [32, 33],
+    310: [30, 32, 67],
+    320: [29, 30, 67],
+    330: [29, 67],
+    340: [28],
+    350: [26, 27, 67],
+    360: [25, 26],
+    370: [25],
+    380: [24, 68],
+    390: [22, 68],
+    400: [21, 22, 68],
+    410: [20, 21, 68],
+    420: [19, 20, 68],
+    430: [19],
+    440: [18, 68],
+    450: [16],
+    460: [15],
+    470: [14, 69],
+    480: [13, 14],
+    490: [12, 13],
+    500: [12]
+  },
+  720: {
+    110: [55, 56, 57, 58],
+    120: [53, 54, 55, 56, 57, 58, 59, 60],
+    130: [51, 52, 53, 54, 58, 59, 60, 61],
+    140: [50, 51, 52, 60, 61],
+    150: [48, 49, 50, 61, 62],
+    160: [47, 48, 62],
+    170: [46, 47, 62, 63],
+    180: [44, 45, 46, 63],
+    190: [43, 44, 45, 63, 64],
+    200: [42, 43, 64],
+    210: [41, 42, 64],
+    220: [40, 41, 64],
+    230: [39, 40, 64, 65],
+    240: [38, 39, 65],
+    250: [37, 38, 65],
+    260: [36, 37, 65],
+    270: [35, 36, 65],
+    280: [34, 66],
+    290: [33, 34, 66],
+    300: [32, 33, 66],
+    310: [31, 66],
+    320: [30, 31, 66],
+    330: [29, 67],
+    340: [28, 67],
+    350: [27, 67],
+    360: [26, 67],
+    370: [24, 25, 67],
+    380: [23, 24],
+    390: [23, 67],
+    400: [22],
+    410: [20, 21],
+    420: [19, 68],
+    430: [18, 19, 68],
+    440: [17, 18, 68],
+    450: [16, 17],
+    460: [16, 68],
+    470: [15, 68],
+    480: [68],
+    490: [12]
+  },
+  730: {
+    120: [53, 54, 55, 56, 57, 58],
+    130: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    140: [50, 51, 52, 59, 60],
+    150: [49, 50, 60, 61],
+    160: [47, 48, 49, 61, 62],
+    170: [46, 47, 61, 62],
+    180: [45, 46, 62],
+    190: [44, 45, 62, 63],
+    200: [43, 44, 63],
+    210: [41, 42, 43, 63, 64],
+    220: [40, 41, 64],
+    230: [39, 40, 64],
+    240: [38, 39, 64],
+    250: [37, 38],
+    260: [36, 37, 65],
+    270: [35, 36, 65],
+    280: [35, 65],
+    290: [33, 34],
+    300: [32, 33, 65, 66],
+    310: [32],
+    320: [30, 66],
+    330: [29, 30, 66],
+    340: [28, 29, 66],
+    350: [27],
+    360: [26],
+    370: [25, 26, 67],
+    380: [24, 25, 67],
+    390: [22, 23, 67],
+    400: [21, 22, 67],
+    410: [21, 67],
+    420: [20],
+    430: [19, 67],
+    450: [16, 17],
+    460: [15, 16, 68],
+    470: [14, 15],
+    480: [13, 14, 68],
+    490: [13, 68]
+  },
+  740: {
+    120: [54, 56],
+    130: [52, 53, 54, 55, 56, 57, 58],
+    140: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    150: [49, 50, 51, 59, 60],
+    160: [47, 48, 49, 60, 61],
+    170: [46, 47, 61],
+    180: [45, 46, 61, 62],
+    190: [44, 45, 62],
+    200: [43, 44, 62, 63],
+    210: [42, 43, 63],
+    220: [41, 42, 63],
+    230: [39, 40, 63],
+    240: [38, 39, 63, 64],
+    250: [37, 38, 64],
+    260: [36, 37, 64],
+    270: [36, 64],
+    280: [34, 35, 65],
+    290: [33, 34, 65],
+    300: [32, 33, 65],
+    310: [31, 32, 65],
+    320: [30, 31, 65],
+    330: [29, 30],
+    340: [28, 66],
+    350: [27, 28, 66],
+    360: [27, 66],
+    370: [25],
+    380: [24, 66],
+    390: [23, 24],
+    400: [22, 23],
+    410: [22, 67],
+    420: [20, 67],
+    430: [19, 67],
+    440: [18, 19],
+    450: [17, 18, 67],
+    460: [16, 17],
+    480: [14],
+    490: [13]
+  },
+  750: {
+    130: [53, 54, 55, 56, 57],
+    140: [51, 52, 53, 54, 55, 56, 57, 58],
+    150: [49, 50, 51, 52, 56, 57, 58, 59],
+    160: [48, 49, 50, 59, 60],
+    170: [46, 47, 48, 60, 61],
+    180: [46, 47, 60, 61],
+    190: [44, 45, 61],
+    200: [43, 44, 61, 62],
+    210: [42, 43, 62],
+    220: [41, 42, 62, 63],
+    230: [40, 41, 63],
+    240: [39, 63],
+    250: [37, 38, 39, 63],
+    260: [37, 64],
+    270: [35, 36, 64],
+    280: [35, 64],
+    290: [33, 34, 64],
+    300: [32, 33],
+    310: [32, 65],
+    320: [30, 31, 65],
+    330: [29, 30, 65],
+    340: [29, 65],
+    350: [27, 28, 65],
+    360: [26, 27, 66],
+    370: [25, 26, 66],
+    380: [25, 66],
+    390: [23, 24, 66],
+    400: [22, 23, 66],
+    410: [21, 22],
+    420: [20, 21, 66],
+    430: [20],
+    440: [18],
+    450: [17, 67],
+    460: [16, 17],
+    470: [15, 16, 67],
+    480: [14, 15, 67],
+    490: [14]
+  },
+  760: {
+    140: [52, 53, 54, 55, 56, 57],
+    150: [50, 51, 52, 53, 54, 55, 56, 57, 58],
+    160: [49, 50, 51, 57, 58, 59],
+    170: [47, 48, 49, 58, 59, 60],
+    180: [45, 46, 47, 59, 60],
+    190: [45, 46, 60, 61],
+    200: [43, 44, 61],
+    210: [42, 43, 61, 62],
+    220: [41, 42, 61, 62],
+    230: [40, 41, 62],
+    240: [39, 40, 62],
+    250: [38, 63],
+    260: [37, 38, 63],
+    270: [36, 63],
+    280: [34, 35, 36],
+    290: [34, 64],
+    300: [33, 64],
+    310: [31, 32, 64],
+    320: [31],
+    330: [30, 65],
+    340: [28, 29],
+    350: [27, 28, 65],
+    360: [27, 65],
+    370: [25, 26, 65],
+    380: [24, 25],
+    390: [23, 24],
+    400: [23, 66],
+    410: [21, 22, 66],
+    420: [20, 21, 66],
+    430: [19, 20],
+    440: [18, 19, 66],
+    450: [18],
+    460: [17],
+    480: [14],
+    490: [14]
+  },
+  770: {
+    140: [54, 55],
+    150: [51, 52, 53, 54, 55, 56, 57],
+    160: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    170: [47, 48, 49, 50, 57, 58, 59],
+    180: [46, 47, 48, 58, 59, 60],
+    190: [45, 46, 59, 60],
+    200: [44, 45, 60],
+    210: [42, 43, 44, 60, 61],
+    220: [41, 42, 61],
+    230: [40, 41, 61, 62],
+    240: [39, 40, 62],
+    250: [38, 39, 62],
+    260: [37, 38, 62, 63],
+    270: [36, 37, 63],
+    280: [35, 36, 63],
+    290: [34, 35, 63],
+    300: [33, 34, 63],
+    310: [32, 64],
+    320: [31, 32, 64],
+    330: [30, 64],
+    340: [29, 64],
+    350: [28, 29, 64],
+    360: [27],
+    370: [26, 65],
+    380: [25, 26, 65],
+    390: [65],
+    400: [22, 23],
+    410: [22, 65],
+    420: [21],
+    430: [20, 21],
+    440: [66],
+    450: [18],
+    460: [17, 66],
+    470: [16, 66],
+    480: [15, 16, 66],
+    490: [15, 66]
+  },
+  780: {
+    150: [52, 53, 54, 55],
+    160: [50, 51, 52, 53, 54, 55, 56, 57],
+    170: [48, 49, 50, 51, 52, 55, 56, 57, 58],
+    180: [46, 47, 48, 57, 58, 59],
+    190: [45, 46, 47, 58, 59],
+    200: [44, 45, 59, 60],
+    210: [43, 44, 60],
+    220: [42, 43, 60, 61],
+    230: [40, 41, 60, 61],
+    240: [40, 61],
+    250: [38, 39, 61],
+    260: [38, 62],
+    270: [36, 37, 62],
+    280: [35, 36, 62, 63],
+    290: [34, 35],
+    300: [33, 34, 63],
+    310: [32, 33, 63],
+    320: [31, 63],
+    330: [30, 31],
+    340: [29, 30, 64],
+    350: [28, 64],
+    360: [27, 28, 64],
+    370: [27, 64],
+    380: [25, 64],
+    390: [24, 25, 65],
+    400: [23, 24],
+    410: [23, 65],
+    420: [21],
+    430: [20, 65],
+    440: [19, 20],
+    450: [18, 19, 65],
+    460: [18, 66],
+    470: [16, 17],
+    480: [15, 66],
+    490: [15, 66]
+  },
+  790: {
+    160: [51, 52, 53, 54, 55],
+    170: [49, 50, 51, 52, 53, 54, 55, 56, 57],
+    180: [47, 48, 49, 50, 55, 56, 57, 58],
+    190: [45, 46, 47, 48, 57, 58],
+    200: [44, 45, 46, 58, 59],
+    210: [43, 44, 59],
+    220: [42, 43, 59, 60],
+    230: [41, 42, 60],
+    240: [39, 40, 60, 61],
+    250: [39, 40, 61],
+    260: [37, 38, 61],
+    270: [37, 62],
+    280: [35, 36, 62],
+    290: [34, 35, 62],
+    300: [33, 34, 62],
+    310: [32, 33, 63],
+    320: [32, 63],
+    330: [30, 31, 63],
+    340: [29, 30, 63],
+    350: [29],
+    360: [27, 28, 64],
+    370: [26, 27],
+    380: [25, 26, 64],
+    390: [24, 25, 64],
+    400: [23, 64],
+    410: [22, 23],
+    420: [21, 22],
+    430: [21, 65],
+    440: [19, 20],
+    450: [18, 65],
+    460: [17, 18, 65],
+    470: [16, 17, 65],
+    480: [16, 65],
+    490: [15]
+  },
+  800: {
+    170: [50, 51, 52, 53, 54, 55],
+    180: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    190: [46, 47, 48, 49, 55, 56, 57],
+    200: [45, 46, 47, 56, 57, 58],
+    210: [43, 44, 45, 58, 59],
+    220: [42, 43, 44, 58, 59],
+    230: [41, 42, 59],
+    240: [40, 41, 59, 60],
+    250: [39, 40, 60],
+    260: [38, 39, 60, 61],
+    270: [37, 61],
+    280: [36, 37, 61],
+    290: [34, 35, 61, 62],
+    300: [33, 34, 35, 62],
+    310: [33, 62],
+    320: [31, 32, 62],
+    330: [31, 62],
+    340: [29, 30, 63],
+    350: [28, 29, 63],
+    360: [28, 63],
+    370: [27, 63],
+    380: [25, 63],
+    390: [24, 25],
+    400: [24, 64],
+    410: [23, 64],
+    420: [21, 64],
+    430: [20, 21, 64],
+    440: [20, 64],
+    450: [19],
+    460: [18, 19],
+    470: [18, 65],
+    480: [16, 65],
+    490: [15],
+    500: [15]
+  },
+  810: {
+    170: [53],
+    180: [49, 50, 51, 52, 53, 54, 55],
+    190: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    200: [46, 47, 48, 55, 56, 57],
+    210: [44, 45, 46, 56, 57, 58],
+    220: [43, 44, 57, 58],
+    230: [42, 43, 58, 59],
+    240: [40, 41, 59],
+    250: [39, 40, 59, 60],
+    260: [38, 39, 60],
+    270: [37, 38, 60],
+    280: [36, 37],
+    290: [35, 36, 61],
+    300: [34, 61],
+    310: [33, 34, 61, 62],
+    320: [32],
+    330: [31, 32, 62],
+    340: [30, 31, 62],
+    350: [29, 62],
+    360: [28, 29],
+    370: [27, 63],
+    380: [26, 63],
+    390: [25, 26, 63],
+    400: [24, 25, 63],
+    410: [23, 63],
+    420: [22, 23, 64],
+    430: [21, 22],
+    440: [21, 64],
+    450: [19, 64],
+    460: [18, 64],
+    470: [17, 18, 64],
+    480: [16, 17],
+    490: [16]
+  },
+  820: {
+    180: [50, 51, 53],
+    190: [48, 49, 50, 51, 52, 53, 54, 55],
+    200: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    210: [45, 46, 47, 55, 56],
+    220: [43, 44, 45, 56, 57],
+    230: [42, 43, 44, 57, 58],
+    240: [41, 42, 58],
+    250: [39, 40, 58, 59],
+    260: [38, 39, 40, 59],
+    270: [37, 38, 59, 60],
+    280: [36, 37, 60],
+    290: [35, 36, 60],
+    300: [34, 35, 60, 61],
+    310: [33, 61],
+    320: [33, 61],
+    330: [31, 32, 61],
+    340: [30, 31, 62],
+    350: [29, 30, 62],
+    360: [28, 62],
+    370: [27, 28, 62],
+    380: [26, 27],
+    390: [25, 63],
+    400: [24, 25, 63],
+    410: [24, 63],
+    420: [22, 23, 63],
+    430: [21, 63],
+    440: [20, 21, 63],
+    450: [20],
+    460: [19, 64],
+    470: [18, 64],
+    480: [16, 17, 64],
+    490: [16, 64]
+  },
+  830: {
+    190: [49, 50, 51, 52, 53],
+    200: [47, 48, 49, 50, 51, 52, 53, 54, 55],
+    210: [45, 46, 47, 48, 53, 54, 55, 56],
+    220: [44, 45, 46, 55, 56],
+    230: [43, 44, 56, 57],
+    240: [41, 42, 43, 57, 58],
+    250: [40, 41, 57, 58],
+    260: [39, 40, 58, 59],
+    270: [38, 39, 58, 59],
+    280: [37, 38, 59],
+    290: [36, 59],
+    300: [34, 35, 36, 60],
+    310: [34, 60],
+    320: [32, 33, 60, 61],
+    330: [32, 61],
+    340: [30, 31, 61],
+    350: [29, 30, 61],
+    360: [29, 61],
+    370: [27, 28, 62],
+    380: [26, 27, 62],
+    390: [26, 62],
+    400: [24, 25, 62],
+    410: [23, 24, 62],
+    420: [23],
+    430: [22, 63],
+    440: [21, 22, 63],
+    450: [20, 63],
+    460: [19, 63],
+    470: [18],
+    480: [17, 18],
+    490: [17]
+  },
+  840: {
+    200: [48, 49, 50, 51, 52, 53],
+    210: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    220: [45, 46, 47, 48, 54, 55],
+    230: [43, 44, 45, 55, 56],
+    240: [42, 43, 44, 56, 57],
+    250: [40, 41, 42, 56, 57],
+    260: [39, 40, 41, 57, 58],
+    270: [38, 39, 58],
+    280: [37, 38, 58, 59],
+    290: [36, 37, 59],
+    300: [35, 36, 59],
+    310: [34, 35],
+    320: [33, 34, 60],
+    330: [32, 33, 60],
+    340: [31, 32, 60],
+    350: [30],
+    360: [29, 30, 61],
+    370: [28, 61],
+    380: [27, 28, 61],
+    390: [26, 27],
+    400: [25, 62],
+    410: [24, 25, 62],
+    420: [24, 62],
+    430: [22, 23, 62],
+    440: [21],
+    450: [20, 21, 63],
+    460: [20, 63],
+    470: [19, 63],
+    480: [17, 63],
+    490: [17]
+  },
+  850: {
+    210: [47, 48, 49, 50, 51, 52],
+    220: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    230: [44, 45, 46, 47, 53, 54, 55],
+    240: [42, 43, 44, 54, 55, 56],
+    250: [41, 42, 43, 55, 56],
+    260: [40, 41, 56, 57],
+    270: [38, 39, 40, 57],
+    280: [38, 39, 57, 58],
+    290: [36, 37, 58],
+    300: [36, 58, 59],
+    310: [34, 35, 59],
+    320: [34, 59],
+    330: [32, 33, 59, 60],
+    340: [31, 32, 60],
+    350: [30, 31, 60],
+    360: [29, 60],
+    370: [29],
+    380: [27, 28, 61],
+    390: [26, 27, 61],
+    400: [26, 61],
+    410: [24, 25],
+    420: [23, 24, 61, 62],
+    430: [22, 23, 62],
+    440: [22, 62],
+    450: [20, 21, 62],
+    460: [19, 20, 62],
+    470: [19, 62],
+    480: [18],
+    490: [18]
+  },
+  860: {
+    210: [49, 50],
+    220: [46, 47, 48, 49, 50, 51, 52, 53],
+    230: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    240: [43, 44, 45, 52, 53, 54, 55],
+    250: [42, 43, 54, 55],
+    260: [40, 41, 42, 55, 56],
+    270: [39, 40, 41, 56, 57],
+    280: [38, 39, 56, 57],
+    290: [37, 38, 57, 58],
+    300: [35, 36, 57, 58],
+    310: [35, 36, 58],
+    320: [33, 34, 58],
+    330: [33, 34, 59],
+    340: [31, 32, 59],
+    350: [30, 31, 59, 60],
+    360: [30, 60],
+    370: [28, 29, 60],
+    380: [28, 60],
+    390: [27, 60],
+    400: [25, 26, 61],
+    410: [25, 61],
+    420: [24, 61],
+    430: [23, 24],
+    440: [22, 61],
+    450: [21],
+    460: [20, 21, 62],
+    470: [20, 62],
+    480: [18, 19, 62],
+    490: [62]
+  },
+  870: {
+    220: [49, 50],
+    230: [46, 47, 48, 49, 50, 51, 52, 53],
+    240: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    250: [42, 43, 44, 45, 52, 53, 54, 55],
+    260: [41, 42, 43, 54, 55],
+    270: [39, 40, 41, 55, 56],
+    280: [38, 39, 40, 55, 56],
+    290: [37, 38, 56, 57],
+    300: [36, 37, 57],
+    310: [35, 36, 57, 58],
+    320: [34, 35, 58],
+    330: [33, 34, 58],
+    340: [32, 33],
+    350: [31, 59],
+    360: [30, 31, 59],
+    370: [29, 59],
+    380: [28, 29],
+    390: [27, 28, 60],
+    400: [26, 60],
+    410: [25, 26, 60],
+    420: [24, 25, 60],
+    430: [23, 61],
+    440: [22, 23, 61],
+    450: [22, 61],
+    460: [20, 21, 61],
+    470: [19, 20],
+    480: [19],
+    490: [18, 62],
+    500: [18]
+  },
+  880: {
+    230: [47, 49, 50, 51],
+    240: [45, 46, 47, 48, 49, 50, 51, 52, 53],
+    250: [44, 45, 46, 47, 48, 50, 51, 52, 53, 54],
+    260: [41, 42, 43, 44, 52, 53, 54],
+    270: [40, 41, 42, 54, 55],
+    280: [39, 40, 54, 55],
+    290: [38, 39, 55, 56],
+    300: [37, 38, 56, 57],
+    310: [35, 36, 37, 56, 57],
+    320: [35, 36, 57],
+    330: [33, 34, 57, 58],
+    340: [32, 33, 58],
+    350: [31, 32, 58],
+    360: [30, 31, 58, 59],
+    370: [30, 59],
+    380: [28, 29, 59],
+    390: [27, 28, 59],
+    400: [27],
+    410: [25, 60],
+    420: [25, 60],
+    430: [24, 60],
+    440: [22, 23, 60],
+    450: [22],
+    460: [21, 61],
+    470: [20, 21],
+    480: [20, 61],
+    490: [18, 19, 61]
+  },
+  890: {
+    240: [46, 47, 48, 50, 51],
+    250: [44, 45, 46, 47, 48, 49, 50, 51, 52],
+    260: [43, 44, 45, 46, 47, 48, 50, 51, 52, 53],
+    270: [41, 42, 43, 44, 52, 53, 54],
+    280: [39, 40, 41, 42, 53, 54, 55],
+    290: [39, 40, 54, 55],
+    300: [37, 38, 55, 56],
+    310: [36, 37, 55, 56],
+    320: [35, 36, 56, 57],
+    330: [34, 35, 56, 57],
+    340: [33, 57],
+    350: [32, 33, 57],
+    360: [31, 58],
+    370: [30, 31, 58],
+    380: [29, 58],
+    390: [28, 29, 59],
+    400: [27, 28, 59],
+    410: [26, 59],
+    420: [25, 26, 59],
+    430: [24, 25, 59, 60],
+    440: [23],
+    450: [22, 23, 60],
+    460: [22, 60],
+    470: [20, 21, 60],
+    480: [19, 20, 61],
+    490: [19]
+  },
+  900: {
+    250: [46, 47, 48, 49],
+    260: [43, 44, 45, 46, 47, 48, 49, 50, 51],
+    270: [42, 43, 44, 45, 48, 49, 50, 51, 52, 53],
+    280: [41, 42, 52, 53, 54],
+    290: [39, 40, 41, 53, 54],
+    300: [38, 39, 40, 54, 55],
+    310: [36, 37, 54, 55],
+    320: [35, 36, 37, 55, 56],
+    330: [34, 35, 56],
+    340: [33, 34, 56, 57],
+    350: [32, 57],
+    360: [31, 32, 57],
+    370: [30, 31],
+    380: [30, 57, 58],
+    390: [28, 29, 58],
+    400: [27, 28, 58],
+    410: [27],
+    420: [25, 26, 59],
+    430: [24, 25, 59],
+    440: [24, 59],
+    450: [22, 23, 59, 60],
+    460: [22],
+    470: [21, 60],
+    480: [20, 21, 60],
+    490: [20]
+  },
+  910: {
+    260: [46, 47, 48, 49],
+    270: [43, 44, 45, 46, 47, 48, 49, 50, 51],
+    280: [41, 42, 43, 44, 45, 49, 50, 51, 52, 53],
+    290: [40, 41, 42, 51, 52, 53],
+    300: [38, 39, 40, 53, 54],
+    310: [37, 38, 39, 54],
+    320: [36, 37, 54, 55],
+    330: [35, 36, 55],
+    340: [34, 35, 55, 56],
+    350: [33, 34, 56],
+    360: [32, 33, 56, 57],
+    370: [31, 32, 57],
+    380: [29, 30, 31, 57],
+    390: [29, 30, 57],
+    400: [28, 57, 58],
+    410: [27, 28, 58],
+    420: [26, 58],
+    430: [25, 26],
+    440: [24, 25, 59],
+    450: [23, 59],
+    460: [22, 23, 59],
+    470: [22, 59],
+    480: [20],
+    490: [20]
+  },
+  920: {
+    270: [44, 45, 46, 47, 48, 49, 50],
+    280: [43, 44, 45, 46, 47, 48, 49, 50, 51],
+    290: [41, 42, 43, 44, 45, 49, 50, 51, 52],
+    300: [39, 40, 41, 42, 51, 52, 53],
+    310: [38, 39, 40, 53, 54],
+    320: [36, 37, 38, 53, 54],
+    330: [36, 37, 54, 55],
+    340: [34, 35, 54, 55],
+    350: [34, 35, 55, 56],
+    360: [32, 33, 55, 56],
+    370: [32, 56],
+    380: [30, 31, 56],
+    390: [30, 57],
+    400: [28, 29, 57],
+    410: [27, 28, 57],
+    420: [27, 57, 58],
+    430: [25, 26, 58],
+    440: [24, 25, 58],
+    450: [24],
+    460: [22, 23, 58, 59],
+    470: [22, 59],
+    480: [21, 59],
+    490: [21, 59]
+  },
+  930: {
+    280: [43, 44, 45, 46, 47, 48, 49, 50],
+    290: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    300: [41, 42, 43, 49, 50, 51, 52],
+    310: [38, 39, 40, 41, 51, 52, 53],
+    320: [37, 38, 39, 52, 53],
+    330: [36, 37, 53, 54],
+    340: [35, 36, 37, 53, 54],
+    350: [34, 35, 54, 55],
+    360: [33, 34, 55],
+    370: [32, 33, 55, 56],
+    380: [31, 32],
+    390: [29, 30, 56],
+    400: [29, 30, 56],
+    410: [28, 56, 57],
+    420: [27, 28, 57],
+    430: [26, 57],
+    440: [25, 26, 57, 58],
+    450: [24, 25, 58],
+    460: [23, 58],
+    470: [22, 23],
+    480: [22, 58],
+    490: [59]
+  },
+  940: {
+    290: [43, 44, 45, 46, 47, 48, 49],
+    300: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    310: [40, 41, 42, 48, 50, 51, 52],
+    320: [38, 39, 40, 50, 51, 52],
+    330: [37, 38, 39, 51, 52, 53],
+    340: [36, 37, 53],
+    350: [34, 35, 36, 53, 54],
+    360: [34, 35, 54],
+    370: [32, 33, 54, 55],
+    380: [32, 55],
+    390: [30, 31, 55, 56],
+    400: [29, 30, 56],
+    410: [28, 29, 56],
+    420: [27],
+    430: [27, 56, 57],
+    440: [25, 26, 57],
+    450: [24, 25, 57],
+    460: [24, 57],
+    470: [22, 23],
+    480: [22, 58],
+    490: [21],
+    500: [21]
+  },
+  950: {
+    300: [44, 45, 46, 47, 48],
+    310: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    320: [39, 40, 41, 42, 43, 48, 49, 50, 51],
+    330: [38, 39, 40, 50, 51, 52],
+    340: [36, 37, 38, 52, 53],
+    350: [35, 36, 37, 52, 53],
+    360: [34, 35, 53, 54],
+    370: [33, 34, 53, 54],
+    380: [32, 54],
+    390: [31, 32, 54, 55],
+    400: [30, 55],
+    410: [29, 30, 55],
+    420: [28, 56],
+    430: [27, 28, 56],
+    440: [26, 27, 56],
+    450: [25, 26, 56, 57],
+    460: [24, 25],
+    470: [23, 57],
+    480: [22, 23, 57],
+    490: [22]
+  },
+  960: {
+    300: [45],
+    310: [42, 43, 44, 45, 46, 47, 48, 49],
+    320: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    330: [38, 39, 40, 41, 42, 43, 48, 49, 50],
+    340: [37, 38, 39, 40, 50, 51, 52],
+    350: [36, 37, 51, 52],
+    360: [35, 36, 52, 53],
+    370: [34, 35, 52, 53],
+    380: [32, 33, 34, 53, 54],
+    390: [32, 33, 53, 54],
+    400: [30, 31, 54],
+    410: [29, 30, 54],
+    420: [28, 29, 55],
+    430: [27, 55],
+    440: [27, 55, 56],
+    450: [25, 26, 56],
+    460: [25, 56],
+    470: [24, 56, 57],
+    480: [23, 24],
+    490: [22, 23]
+  },
+  970: {
+    310: [45, 46],
+    320: [41, 42, 43, 44, 45, 46, 47, 48],
+    330: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    340: [39, 40, 48, 49, 50],
+    350: [37, 38, 39, 49, 50, 51],
+    360: [36, 37, 50, 51, 52],
+    370: [34, 35, 36, 52],
+    380: [33, 34, 35, 52, 53],
+    390: [32, 33, 53],
+    400: [31, 32, 53, 54],
+    410: [30, 31, 54],
+    420: [29, 30, 54],
+    430: [28, 29],
+    440: [28, 55],
+    450: [26, 27, 55],
+    460: [25, 26, 55, 56],
+    470: [24, 25, 56],
+    480: [23, 56],
+    490: [23, 56]
+  },
+  980: {
+    330: [42, 43, 44, 45, 46, 47],
+    340: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    350: [38, 39, 40, 41, 46, 47, 48, 49, 50],
+    360: [36, 37, 38, 49, 50, 51],
+    370: [35, 36, 37, 51],
+    380: [34, 35, 51, 52],
+    390: [33, 34, 52],
+    400: [33, 52, 53],
+    410: [30, 31, 32, 53],
+    420: [29, 31, 53, 54],
+    430: [29, 30, 54],
+    440: [27, 28, 54],
+    450: [27, 28],
+    460: [25, 26, 55],
+    470: [25, 26, 55],
+    480: [24, 55],
+    490: [24, 55, 56]
+  },
+  990: {
+    340: [41, 42, 43, 44, 45, 46, 47],
+    350: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    360: [37, 38, 39, 40, 41, 47, 48, 49],
+    370: [37, 38, 49, 50],
+    380: [34, 35, 36, 49, 50, 51],
+    390: [34, 35, 50, 51, 52],
+    400: [32, 33, 51, 52],
+    410: [32, 33, 52, 53],
+    420: [30, 31, 52, 53],
+    430: [30, 53],
+    440: [28, 29, 53, 54],
+    450: [28, 54],
+    460: [26, 27, 54],
+    470: [25, 26],
+    480: [24, 25, 54, 55],
+    490: [55]
+  },
+  1000: {
+    340: [44],
+    350: [40, 41, 42, 43, 44, 45, 46, 47],
+    360: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    370: [37, 38, 39, 40, 41, 47, 48, 49],
+    380: [36, 37, 38, 48, 49],
+    390: [34, 35, 49, 50, 51],
+    400: [33, 34, 35, 50],
+    410: [32, 33, 51, 52],
+    420: [31, 32, 51, 52],
+    430: [30, 31, 52, 53],
+    440: [29, 30, 52, 53],
+    450: [28, 29, 53],
+    460: [27, 28, 53],
+    470: [26, 54],
+    480: [25, 26, 54]
+  },
+  1010: {
+    360: [40, 41, 42, 43, 44, 45],
+    370: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    380: [38, 39, 44, 45, 46, 47],
+    390: [35, 36, 37, 38, 47, 48, 49],
+    400: [34, 35, 36, 50],
+    410: [32, 33, 34, 49, 50, 51],
+    420: [32, 33, 51],
+    430: [30, 31, 51, 52],
+    440: [30, 31],
+    450: [28, 29, 52, 53],
+    460: [28, 29],
+    470: [26, 27, 53],
+    480: [26, 27, 53],
+    490: [25],
+    500: [25]
+  },
+  1020: {
+    370: [41, 42, 43, 44, 45, 46],
+    380: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    390: [36, 37, 38, 39, 40, 45, 46, 47, 48],
+    400: [35, 36, 48, 49],
+    410: [33, 34, 35, 36, 48, 49, 50],
+    420: [34, 49, 50],
+    430: [31, 32, 33, 50, 51],
+    440: [31, 32, 51],
+    450: [29, 30, 51, 52],
+    460: [28, 29, 52],
+    470: [27, 28, 52, 53],
+    480: [26],
+    490: [25, 26]
+  },
+  1030: {
+    380: [40, 41, 42, 44, 45],
+    390: [39, 40, 41, 42, 43, 44, 45, 46],
+    400: [36, 37, 38, 39, 40, 41, 42, 43, 46, 47, 48],
+    410: [35, 36, 37, 46, 47, 48],
+    420: [33, 34, 35, 48, 49],
+    430: [32, 33, 34, 48, 49, 50],
+    440: [31, 32, 49, 50],
+    450: [30, 31, 50, 51],
+    460: [29, 51],
+    470: [28, 29, 51, 52],
+    480: [27, 52],
+    490: [26, 27, 52]
+  },
+  1040: {
+    390: [39, 40, 41, 42, 43, 44],
+    400: [38, 39, 40, 41, 42, 43, 44, 45, 46],
+    410: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    420: [34, 35, 36, 37, 38, 46, 47, 48],
+    430: [34, 35, 47, 48],
+    440: [32, 33, 34, 48, 49, 50],
+    450: [31, 32, 49],
+    460: [29, 30, 31, 49, 50, 51],
+    470: [29, 30, 50, 51],
+    480: [27, 28, 29, 51],
+    490: [27, 28, 51, 52]
+  },
+  1050: {
+    400: [40, 41, 42, 43, 44],
+    410: [37, 38, 39, 40, 41, 42, 43, 44],
+    420: [36, 37, 38, 39, 43, 44, 45, 46, 47],
+    430: [34, 35, 36, 37, 45, 46, 47],
+    440: [33, 34, 35, 46, 47, 48],
+    450: [31, 32],
+    460: [30, 31, 32, 48, 49, 50],
+    470: [29, 30, 49],
+    480: [28, 29, 30, 50, 51],
+    490: [50, 51]
+  },
+  1060: {
+    420: [37, 38, 39, 40, 41, 42, 43, 44, 45],
+    430: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    440: [35, 36, 44, 45, 46, 47],
+    450: [32, 33, 34, 35, 47, 48],
+    460: [32, 33, 47, 48],
+    470: [30, 31, 49],
+    480: [30, 31, 48, 49, 50]
+  },
+  1070: {
+    420: [39, 40, 41, 42],
+    430: [38, 39, 40, 42, 43, 44, 45],
+    440: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    450: [34, 35, 36, 37, 38, 45, 46, 47],
+    460: [33, 45, 46, 47],
+    470: [31, 32, 33, 47, 48],
+    480: [31, 32, 47, 48, 49],
+    490: [30]
+  },
+  1080: {
+    430: [41, 42],
+    440: [37, 38, 39, 40, 41, 42, 43],
+    450: [36, 37, 38, 39, 42, 43, 44, 45],
+    460: [33, 34, 35, 36, 37, 42, 43, 44, 45],
+    470: [32, 33, 34, 35, 45, 46, 47],
+    480: [31, 32, 46, 47],
+    490: [30, 31, 32]
+  },
+  1090: {
+    450: [37, 38, 39, 40, 41, 42, 43],
+    460: [35, 36, 37, 38, 39, 40, 41, 42, 43],
+    470: [35, 36, 42, 43, 44, 45, 46],
+    480: [32, 33, 34, 35, 44, 45],
+    490: [31, 32, 33, 45, 46],
+    500: [46]
+  },
+  1100: {
+    460: [38, 39],
+    470: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    480: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    490: [43, 44, 45, 46],
+    500: [45]
+  },
+  1110: {
+    470: [37, 38, 39, 40, 41],
+    480: [36, 37, 38, 39, 41, 42, 43],
+    490: [37, 38, 39, 40, 41, 42, 43, 44]
+  },
+  1120: {
+    480: [38, 39, 40, 41],
+    490: [37, 38, 39, 40, 41, 42],
+    500: [37]
+  }
+};
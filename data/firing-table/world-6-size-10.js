@@ -0,0 +1,4719 @@
+// Firing Table Data for World 6
+// Cannonball size level 10 (radius 16.0px)
+// Generated on 2026-10-19T18:31:50.804Z
+export default {
+  0: {
+    0: [95, 96, 99, 100, 101, 102],
+    10: [95, 96, 100, 101, 102],
+    20: [95, 96, 100, 101, 102, 103],
+    30: [95, 96, 100, 101, 102, 103],
+    40: [95, 96, 101, 102, 103],
+    50: [95, 101, 102, 103, 104],
+    60: [95, 102, 103, 104],
+    70: [95, 102, 103, 104, 105],
+    80: [95, 102, 103, 104, 105],
+    90: [95, 103, 104, 105, 106],
+    100: [95, 103, 104, 105, 106],
+    110: [95, 103, 104, 105, 106, 107],
+    120: [95, 104, 105, 106, 107, 108],
+    130: [95, 104, 105, 106, 107, 108],
+    140: [95, 105, 106, 107, 108, 109],
+    150: [95, 105, 106, 107, 108, 109],
+    160: [94, 95, 106, 107, 108, 109, 110],
+    170: [95, 107, 108, 109, 110, 111],
+    180: [94, 95, 107, 108, 109, 110, 111, 112],
+    190: [94, 95, 108, 109, 110, 111, 112, 113],
+    200: [94, 95, 109, 110, 111, 112, 113],
+    210: [94, 95, 109, 110, 111, 112, 113, 114],
+    220: [94, 95, 110, 111, 112, 113, 114, 115],
+    230: [94, 95, 111, 112, 113, 114, 115, 116, 117],
+    240: [94, 95, 112, 113, 114, 115, 116, 117],
+    250: [94, 95, 113, 114, 115, 116, 117, 118, 119],
+    260: [94, 95, 113, 114, 115, 116, 117, 118, 119, 120],
+    270: [94, 95, 115, 116, 117, 118, 119, 120, 121],
+    280: [94, 116, 117, 118, 119, 120, 121, 122, 123],
+    290: [94, 95, 117, 118, 119, 120, 121, 122, 123, 124],
+    300: [94, 119, 120, 121, 122, 123, 124, 125, 126],
+    310: [94, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    320: [94, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    330: [94, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    340: [94, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    350: [94, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    360: [94, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    370: [94, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    380: [94, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    390: [94, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    400: [94, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    410: [94, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    420: [94, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    430: [94, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    440: [94, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    450: [94, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [94, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [94, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    480: [94, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    490: [94, 178, 179, 180, 181, 182]
+  },
+  10: {
+    0: [95, 99, 100, 101],
+    10: [95, 99, 100, 101],
+    20: [95, 99, 100, 101, 102],
+    30: [95, 100, 101, 102],
+    40: [95, 100, 101, 102],
+    50: [94, 95, 100, 101, 102, 103],
+    60: [94, 95, 100, 101, 102, 103],
+    70: [94, 95, 101, 102, 103, 104],
+    80: [94, 95, 101, 102, 103, 104],
+    90: [94, 95, 102, 103, 104, 105],
+    100: [94, 95, 102, 103, 104, 105],
+    110: [94, 95, 102, 103, 104, 105, 106],
+    120: [94, 95, 103, 104, 105, 106],
+    130: [94, 95, 103, 104, 105, 106, 107],
+    140: [94, 95, 104, 105, 106, 107, 108],
+    150: [94, 95, 104, 105, 106, 107, 108],
+    160: [94, 105, 106, 107, 108, 109],
+    170: [94, 105, 106, 107, 108, 109],
+    180: [94, 106, 107, 108, 109, 110],
+    190: [94, 106, 107, 108, 109, 110, 111],
+    200: [94, 107, 108, 109, 110, 111, 112],
+    210: [94, 108, 109, 110, 111, 112, 113],
+    220: [94, 109, 110, 111, 112, 113, 114],
+    230: [94, 109, 110, 111, 112, 113, 114, 115],
+    240: [94, 110, 111, 112, 113, 114, 115, 116],
+    250: [94, 111, 112, 113, 114, 115, 116, 117],
+    260: [94, 112, 113, 114, 115, 116, 117, 118],
+    270: [94, 113, 114, 115, 116, 117, 118, 119, 120],
+    280: [94, 114, 115, 116, 117, 118, 119, 120, 121],
+    290: [94, 115, 116, 117, 118, 119, 120, 121, 122],
+    300: [94, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    310: [94, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    320: [94, 120, 121, 122, 123, 124, 125, 126, 127],
+    330: [94, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    340: [94, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    350: [94, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    360: [94, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    370: [94, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    380: [94, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    390: [94, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    400: [94, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    410: [94, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    420: [94, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    430: [94, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    440: [94, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [94, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    460: [94, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [94, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [94, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    490: [94, 180, 181, 182, 183, 184]
+  },
+  20: {
+    0: [94, 95, 98, 99, 100],
+    10: [94, 95, 98, 99, 100],
+    20: [94, 95, 98, 99, 100, 101],
+    30: [94, 95, 99, 100, 101],
+    40: [94, 95, 99, 100, 101, 102],
+    50: [94, 95, 99, 100, 101, 102],
+    60: [94, 99, 100, 101, 102],
+    70: [94, 100, 101, 102, 103],
+    80: [94, 100, 101, 102, 103],
+    90: [94, 100, 101, 102, 103, 104],
+    100: [94, 101, 102, 103, 104],
+    110: [94, 101, 102, 103, 104, 105],
+    120: [94, 102, 103, 104, 105],
+    130: [94, 102, 103, 104, 105],
+    140: [94, 102, 103, 104, 105, 106],
+    150: [94, 103, 104, 105, 106, 107],
+    160: [94, 103, 104, 105, 106, 107, 108],
+    170: [94, 104, 105, 106, 107, 108],
+    180: [94, 104, 105, 106, 107, 108, 109],
+    190: [94, 105, 106, 107, 108, 109],
+    200: [94, 105, 106, 107, 108, 109, 110, 111],
+    210: [94, 106, 107, 108, 109, 110, 111],
+    220: [94, 107, 108, 109, 110, 111, 112],
+    230: [94, 107, 108, 109, 110, 111, 112, 113],
+    240: [94, 108, 109, 110, 111, 112, 113, 114],
+    250: [94, 109, 110, 111, 112, 113, 114, 115],
+    260: [94, 110, 111, 112, 113, 114, 115, 116],
+    270: [94, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    280: [94, 112, 113, 114, 115, 116, 117, 118, 119],
+    290: [94, 113, 114, 115, 116, 117, 118, 119, 120],
+    300: [93, 94, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    310: [93, 94, 116, 117, 118, 119, 120, 121, 122, 123],
+    320: [93, 94, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    330: [93, 94, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    340: [93, 94, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    350: [93, 94, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    360: [93, 94, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    370: [93, 94, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    380: [93, 94, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    390: [93, 94, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    400: [93, 94, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    410: [93, 94, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    420: [93, 94, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    430: [93, 94, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    440: [93, 94, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    450: [93, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [93, 94, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [93, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [93, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    490: [93, 178, 179, 180, 181, 182, 183, 184],
+    500: [183, 184]
+  },
+  30: {
+    0: [94, 97, 98, 99],
+    10: [94, 97, 98, 99],
+    20: [94, 97, 98, 99, 100],
+    30: [94, 98, 99, 100],
+    40: [94, 98, 99, 100, 101],
+    50: [94, 98, 99, 100, 101],
+    60: [94, 98, 99, 100, 101],
+    70: [94, 99, 100, 101, 102],
+    80: [94, 99, 100, 101, 102],
+    90: [93, 94, 99, 100, 101, 102],
+    100: [93, 94, 100, 101, 102, 103],
+    110: [93, 94, 100, 101, 102, 103],
+    120: [93, 94, 100, 101, 102, 103, 104],
+    130: [93, 94, 101, 102, 103, 104],
+    140: [93, 94, 101, 102, 103, 104, 105],
+    150: [93, 94, 102, 103, 104, 105],
+    160: [93, 94, 102, 103, 104, 105, 106],
+    170: [93, 94, 102, 103, 104, 105, 106, 107],
+    180: [93, 94, 103, 104, 105, 106, 107],
+    190: [93, 94, 103, 104, 105, 106, 107, 108],
+    200: [93, 94, 104, 105, 106, 107, 108, 109],
+    210: [93, 94, 105, 106, 107, 108, 109],
+    220: [93, 94, 105, 106, 107, 108, 109, 110, 111],
+    230: [93, 94, 106, 107, 108, 109, 110, 111],
+    240: [93, 106, 107, 108, 109, 110, 111, 112],
+    250: [93, 94, 107, 108, 109, 110, 111, 112, 113],
+    260: [93, 108, 109, 110, 111, 112, 113, 114],
+    270: [93, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    280: [93, 110, 111, 112, 113, 114, 115, 116],
+    290: [93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    300: [93, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    310: [93, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    320: [93, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    330: [93, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    340: [93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    350: [93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    360: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    370: [93, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    380: [93, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    390: [93, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    400: [93, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    410: [93, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    420: [93, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    430: [93, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    440: [93, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    450: [93, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [93, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [93, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [93, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    490: [93, 179, 180, 181, 182, 183, 184]
+  },
+  40: {
+    0: [93, 94, 96, 97, 98],
+    10: [93, 94, 96, 97, 98, 99],
+    20: [93, 94, 96, 97, 98, 99],
+    30: [93, 94, 97, 98, 99],
+    40: [93, 94, 97, 98, 99, 100],
+    50: [93, 94, 97, 98, 99, 100],
+    60: [93, 94, 97, 98, 99, 100],
+    70: [93, 94, 98, 99, 100, 101],
+    80: [93, 94, 98, 99, 100, 101],
+    90: [93, 94, 98, 99, 100, 101],
+    100: [93, 94, 98, 99, 100, 101, 102],
+    110: [93, 99, 100, 101, 102],
+    120: [93, 99, 100, 101, 102, 103],
+    130: [93, 99, 100, 101, 102, 103],
+    140: [93, 100, 101, 102, 103, 104],
+    150: [93, 100, 101, 102, 103, 104],
+    160: [93, 100, 101, 102, 103, 104, 105],
+    170: [93, 101, 102, 103, 104, 105],
+    180: [93, 101, 102, 103, 104, 105, 106],
+    190: [93, 102, 103, 104, 105, 106, 107],
+    200: [93, 102, 103, 104, 105, 106, 107],
+    210: [93, 103, 104, 105, 106, 107, 108],
+    220: [93, 103, 104, 105, 106, 107, 108, 109],
+    230: [93, 104, 105, 106, 107, 108, 109],
+    240: [93, 104, 105, 106, 107, 108, 109, 110, 111],
+    250: [93, 105, 106, 107, 108, 109, 110, 111],
+    260: [93, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    270: [93, 106, 107, 108, 109, 110, 111, 112, 113],
+    280: [93, 107, 108, 109, 110, 111, 112, 113, 114],
+    290: [93, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    300: [93, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    310: [93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    320: [93, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    330: [93, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    340: [93, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    350: [93, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    360: [93, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    370: [93, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    380: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    390: [93, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    400: [93, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    410: [93, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    420: [93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    430: [93, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    440: [93, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [93, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [93, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [93, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    480: [93, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [93, 180, 181, 182, 183, 184, 185, 186]
+  },
+  50: {
+    0: [93, 94, 95, 96, 97],
+    10: [93, 95, 96, 97, 98],
+    20: [93, 96, 97, 98],
+    30: [93, 96, 97, 98],
+    40: [93, 96, 97, 98, 99],
+    50: [93, 96, 97, 98, 99],
+    60: [93, 96, 97, 98, 99],
+    70: [93, 96, 97, 98, 99],
+    80: [93, 97, 98, 99, 100],
+    90: [93, 97, 98, 99, 100],
+    100: [93, 97, 98, 99, 100, 101],
+    110: [93, 98, 99, 100, 101],
+    120: [93, 98, 99, 100, 101],
+    130: [93, 98, 99, 100, 101, 102],
+    140: [93, 98, 99, 100, 101, 102],
+    150: [93, 98, 99, 100, 101, 102, 103],
+    160: [93, 99, 100, 101, 102, 103],
+    170: [93, 99, 100, 101, 102, 103, 104],
+    180: [93, 99, 100, 101, 102, 103, 104],
+    190: [93, 100, 101, 102, 103, 104, 105],
+    200: [93, 100, 101, 102, 103, 104, 105],
+    210: [92, 93, 101, 102, 103, 104, 105, 106],
+    220: [93, 101, 102, 103, 104, 105, 106, 107],
+    230: [92, 93, 102, 103, 104, 105, 106, 107, 108],
+    240: [92, 93, 102, 103, 104, 105, 106, 107, 108],
+    250: [92, 93, 103, 104, 105, 106, 107, 108, 109],
+    260: [92, 93, 103, 104, 105, 106, 107, 108, 109, 110],
+    270: [92, 93, 104, 105, 106, 107, 108, 109, 110, 111],
+    280: [92, 93, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    290: [92, 93, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    300: [92, 93, 107, 108, 109, 110, 111, 112, 113, 114],
+    310: [92, 93, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    320: [92, 93, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    330: [92, 93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    340: [92, 93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    350: [92, 93, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    360: [92, 93, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    370: [92, 93, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    380: [92, 93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    390: [92, 93, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    400: [92, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    410: [92, 93, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    420: [92, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    430: [92, 93, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    440: [92, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    450: [92, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [92, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    470: [92, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    480: [92, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [92, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    500: [186]
+  },
+  60: {
+    0: [92, 93, 94, 95, 96, 97],
+    10: [92, 93, 94, 95, 96, 97],
+    20: [92, 93, 95, 96, 97],
+    30: [92, 93, 95, 96, 97],
+    40: [92, 93, 95, 96, 97, 98],
+    50: [92, 93, 95, 96, 97, 98],
+    60: [92, 93, 95, 96, 97, 98],
+    70: [92, 93, 95, 96, 97, 98],
+    80: [92, 93, 96, 97, 98, 99],
+    90: [92, 93, 96, 97, 98, 99],
+    100: [92, 93, 96, 97, 98, 99],
+    110: [92, 93, 96, 97, 98, 99, 100],
+    120: [92, 93, 96, 97, 98, 99, 100],
+    130: [92, 93, 96, 97, 98, 99, 100],
+    140: [92, 93, 97, 98, 99, 100, 101],
+    150: [92, 93, 97, 98, 99, 100, 101],
+    160: [92, 93, 97, 98, 99, 100, 101],
+    170: [92, 97, 98, 99, 100, 101, 102],
+    180: [92, 93, 98, 99, 100, 101, 102],
+    190: [92, 98, 99, 100, 101, 102, 103],
+    200: [92, 99, 100, 101, 102, 103],
+    210: [92, 99, 100, 101, 102, 103, 104],
+    220: [92, 99, 100, 101, 102, 103, 104, 105],
+    230: [92, 99, 100, 101, 102, 103, 104, 105, 106],
+    240: [92, 100, 101, 102, 103, 104, 105, 106],
+    250: [92, 101, 102, 103, 104, 105, 106, 107],
+    260: [92, 101, 102, 103, 104, 105, 106, 107, 108],
+    270: [92, 102, 103, 104, 105, 106, 107, 108],
+    280: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    290: [92, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    300: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    310: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    320: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    330: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    340: [92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    350: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    360: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    370: [92, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    380: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    390: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    400: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    410: [92, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    420: [92, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    430: [92, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    440: [92, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    450: [92, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    460: [92, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [92, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    480: [92, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [92, 180, 181, 182, 183, 184, 185, 186]
+  },
+  70: {
+    0: [92, 93, 94, 95, 96],
+    10: [92, 93, 94, 95, 96],
+    20: [92, 94, 95, 96],
+    30: [92, 94, 95, 96],
+    40: [92, 94, 95, 96, 97],
+    50: [92, 94, 95, 96, 97],
+    60: [92, 94, 95, 96, 97],
+    70: [92, 94, 95, 96, 97],
+    80: [92, 94, 95, 96, 97, 98],
+    90: [92, 95, 96, 97, 98],
+    100: [92, 95, 96, 97, 98],
+    110: [92, 95, 96, 97, 98],
+    120: [92, 95, 96, 97, 98, 99],
+    130: [92, 95, 96, 97, 98, 99],
+    140: [92, 95, 96, 97, 98, 99],
+    150: [92, 95, 96, 97, 98, 99, 100],
+    160: [92, 96, 97, 98, 99, 100],
+    170: [92, 96, 97, 98, 99, 100, 101],
+    180: [92, 96, 97, 98, 99, 100, 101],
+    190: [92, 96, 97, 98, 99, 100, 101, 102],
+    200: [92, 97, 98, 99, 100, 101, 102],
+    210: [92, 97, 98, 99, 100, 101, 102, 103],
+    220: [92, 97, 98, 99, 100, 101, 102, 103],
+    230: [92, 97, 98, 99, 100, 101, 102, 103, 104],
+    240: [92, 98, 99, 100, 101, 102, 103, 104],
+    250: [92, 98, 99, 100, 101, 102, 103, 104, 105],
+    260: [92, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    270: [92, 100, 101, 102, 103, 104, 105, 106],
+    280: [92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    290: [92, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    300: [92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    310: [92, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    320: [92, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    330: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    340: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    350: [92, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    360: [92, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    370: [92, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    380: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    390: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    400: [92, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    410: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    420: [92, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    430: [92, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    440: [92, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    450: [92, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    460: [92, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167],
+    470: [92],
+    480: [92],
+    490: [92]
+  },
+  80: {
+    0: [92, 93, 94, 95],
+    10: [91, 92, 93, 94, 95],
+    20: [91, 92, 93, 94, 95],
+    30: [91, 92, 93, 94, 95],
+    40: [91, 92, 93, 94, 95],
+    50: [91, 92, 93, 94, 95, 96],
+    60: [91, 92, 93, 94, 95, 96],
+    70: [91, 92, 93, 94, 95, 96],
+    80: [91, 92, 93, 94, 95, 96],
+    90: [91, 92, 93, 94, 95, 96, 97],
+    100: [91, 92, 93, 94, 95, 96, 97],
+    110: [91, 92, 93, 94, 95, 96, 97],
+    120: [91, 92, 94, 95, 96, 97],
+    130: [91, 92, 94, 95, 96, 97, 98],
+    140: [91, 92, 94, 95, 96, 97, 98],
+    150: [91, 92, 94, 95, 96, 97, 98],
+    160: [91, 92, 94, 95, 96, 97, 98],
+    170: [91, 92, 94, 95, 96, 97, 98, 99],
+    180: [91, 92, 95, 96, 97, 98, 99],
+    190: [91, 92, 94, 95, 96, 97, 98, 99, 100],
+    200: [91, 92, 95, 96, 97, 98, 99, 100],
+    210: [91, 92, 95, 96, 97, 98, 99, 100, 101],
+    220: [91, 92, 96, 97, 98, 99, 100, 101],
+    230: [91, 92, 95, 96, 97, 98, 99, 100, 101, 102],
+    240: [91, 92, 96, 97, 98, 99, 100, 101, 102],
+    250: [91, 92, 96, 97, 98, 99, 100, 101, 102, 103],
+    260: [91, 92, 96, 97, 98, 99, 100, 101, 102, 103],
+    270: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104],
+    280: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    290: [91, 92, 98, 99, 100, 101, 102, 103, 104, 105],
+    300: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    310: [91, 92, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    320: [91, 92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    330: [91, 92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    340: [91, 92, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    350: [91, 92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    360: [91, 92, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    370: [91, 92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    380: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    390: [91, 92, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    400: [91, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    410: [91, 92, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    420: [91, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    430: [91, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    440: [91, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  90: {
+    0: [91, 92, 93, 94],
+    10: [91, 92, 93, 94],
+    20: [91, 92, 93, 94],
+    30: [91, 92, 93, 94],
+    40: [91, 92, 93, 94],
+    50: [91, 92, 93, 94, 95],
+    60: [91, 92, 93, 94, 95],
+    70: [91, 92, 93, 94, 95],
+    80: [91, 92, 93, 94, 95],
+    90: [91, 92, 93, 94, 95],
+    100: [91, 92, 93, 94, 95, 96],
+    110: [91, 92, 93, 94, 95, 96],
+    120: [91, 92, 93, 94, 95, 96],
+    130: [91, 92, 93, 94, 95, 96],
+    140: [91, 93, 94, 95, 96],
+    150: [91, 92, 93, 94, 95, 96, 97],
+    160: [91, 93, 94, 95, 96, 97],
+    170: [91, 93, 94, 95, 96, 97],
+    180: [91, 93, 94, 95, 96, 97, 98],
+    190: [91, 93, 94, 95, 96, 97, 98],
+    200: [91, 93, 94, 95, 96, 97, 98],
+    210: [91, 93, 94, 95, 96, 97, 98, 99],
+    220: [91, 94, 95, 96, 97, 98, 99],
+    230: [91, 93, 94, 95, 96, 97, 98, 99, 100],
+    240: [91, 94, 95, 96, 97, 98, 99],
+    250: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    260: [91, 94, 95, 96, 97, 98, 99, 100, 101],
+    270: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    280: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    290: [91, 95, 96, 97, 98, 99, 100, 101, 102],
+    300: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    310: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    320: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    330: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    340: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    350: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    360: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    370: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    380: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    390: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    400: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    410: [91, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    420: [91, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    430: [91, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  100: {
+    0: [91, 92, 93],
+    10: [91, 92, 93],
+    20: [91, 92, 93],
+    30: [91, 92, 93],
+    40: [91, 92, 93],
+    50: [91, 92, 93, 94],
+    60: [91, 92, 93, 94],
+    70: [91, 92, 93, 94],
+    80: [91, 92, 93, 94],
+    90: [91, 92, 93, 94],
+    100: [91, 92, 93, 94],
+    110: [91, 92, 93, 94, 95],
+    120: [91, 92, 93, 94],
+    130: [91, 92, 93, 94, 95],
+    140: [91, 92, 93, 94, 95],
+    150: [91, 92, 93, 94, 95],
+    160: [91, 92, 93, 94, 95],
+    170: [91, 92, 93, 94, 95, 96],
+    180: [91, 92, 93, 94, 95, 96],
+    190: [91, 92, 93, 94, 95, 96],
+    200: [91, 92, 93, 94, 95, 96],
+    210: [91, 92, 93, 94, 95, 96, 97],
+    220: [91, 92, 93, 94, 95, 96, 97],
+    230: [91, 92, 93, 94, 95, 96, 97, 98],
+    240: [91, 92, 93, 94, 95, 96, 97],
+    250: [91, 92, 93, 94, 95, 96, 97, 98],
+    260: [91, 92, 93, 94, 95, 96, 97, 98],
+    270: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    280: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    290: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    300: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    310: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    320: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    330: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    340: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    350: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    360: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    370: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    380: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    390: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    400: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    410: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    420: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    430: [91],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  110: {
+    0: [90, 91, 92],
+    10: [90, 91, 92],
+    20: [90, 91, 92],
+    30: [90, 91, 92],
+    40: [90, 91, 92],
+    50: [90, 91, 92, 93],
+    60: [90, 91, 92, 93],
+    70: [90, 91, 92, 93],
+    80: [90, 91, 92, 93],
+    90: [90, 91, 92, 93],
+    100: [90, 91, 92, 93],
+    110: [89, 90, 91, 92, 93],
+    120: [90, 91, 92, 93],
+    130: [89, 90, 91, 92, 93],
+    140: [89, 90, 91, 92, 93],
+    150: [89, 90, 91, 92, 93, 94],
+    160: [89, 90, 91, 92, 93, 94],
+    170: [89, 90, 91, 92, 93, 94],
+    180: [89, 90, 91, 92, 93, 94],
+    190: [89, 90, 91, 92, 93, 94],
+    200: [89, 90, 91, 92, 93, 94, 95],
+    210: [89, 90, 91, 92, 93, 94, 95],
+    220: [89, 90, 91, 92, 93, 94, 95],
+    230: [89, 90, 91, 92, 93, 94, 95],
+    240: [90, 91, 92, 93, 94, 95],
+    250: [89, 90, 91, 92, 93, 94, 95, 96],
+    260: [89, 90, 91, 92, 93, 94, 95, 96],
+    270: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    280: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    290: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    300: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    310: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    320: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    330: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    340: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    350: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    360: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    370: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    380: [86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    390: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    400: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    410: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    420: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    430: [90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90],
+    490: [90]
+  },
+  120: {
+    0: [89, 90, 91],
+    10: [89, 90, 91],
+    20: [89, 90, 91],
+    30: [89, 90, 91],
+    40: [89, 90, 91],
+    50: [89, 90, 91],
+    60: [89, 90, 91],
+    70: [89, 90, 91],
+    80: [88, 89, 90, 91, 92],
+    90: [88, 89, 90, 91, 92],
+    100: [88, 89, 90, 91, 92],
+    110: [88, 89, 90, 91, 92],
+    120: [88, 89, 90, 91, 92],
+    130: [88, 89, 90, 91, 92],
+    140: [88, 89, 90, 91, 92],
+    150: [88, 89, 90, 91, 92],
+    160: [88, 89, 90, 91, 92],
+    170: [88, 89, 90, 91, 92],
+    180: [88, 89, 90, 91, 92],
+    190: [87, 88, 89, 90, 91, 92, 93],
+    200: [87, 88, 89, 90, 91, 92, 93],
+    210: [87, 88, 89, 90, 91, 92, 93],
+    220: [87, 88, 89, 90, 91, 92, 93],
+    230: [87, 88, 89, 90, 91, 92, 93],
+    240: [87, 88, 89, 90, 91, 92, 93],
+    250: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    260: [87, 88, 89, 90, 91, 92, 93],
+    270: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    280: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    290: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    300: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    310: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    320: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    330: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    340: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    350: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    360: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    370: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    380: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    390: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    400: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    410: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    420: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    430: [90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90],
+    490: [90]
+  },
+  130: {
+    0: [88, 89, 90],
+    10: [88, 89, 90],
+    20: [88, 89, 90],
+    30: [88, 89, 90],
+    40: [88, 89, 90],
+    50: [87, 88, 89, 90],
+    60: [87, 88, 89, 90],
+    70: [87, 88, 89, 90],
+    80: [87, 88, 89, 90],
+    90: [87, 88, 89, 90],
+    100: [87, 88, 89, 90],
+    110: [87, 88, 89, 90, 91],
+    120: [87, 88, 89, 90],
+    130: [87, 88, 89, 90, 91],
+    140: [87, 88, 89, 90, 91],
+    150: [86, 87, 88, 89, 90, 91],
+    160: [86, 87, 88, 89, 90, 91],
+    170: [86, 87, 88, 89, 90, 91],
+    180: [86, 87, 88, 89, 90, 91],
+    190: [86, 87, 88, 89, 90, 91],
+    200: [85, 86, 87, 88, 89, 90, 91],
+    210: [85, 86, 87, 88, 89, 90, 91],
+    220: [85, 86, 87, 88, 89, 90, 91],
+    230: [85, 86, 87, 88, 89, 90, 91],
+    240: [85, 86, 87, 88, 89, 90],
+    250: [84, 85, 86, 87, 88, 89, 90, 91],
+    260: [84, 85, 86, 87, 88, 89, 90, 91],
+    270: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    280: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    290: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    300: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    310: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    320: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    330: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    340: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    350: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    360: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    370: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    380: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94],
+    390: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    400: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    410: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    420: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    430: [90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90],
+    490: [90]
+  },
+  140: {
+    0: [87, 88, 89],
+    10: [87, 88, 89],
+    20: [87, 88, 89],
+    30: [87, 88, 89],
+    40: [87, 88, 89],
+    50: [86, 87, 88, 89],
+    60: [86, 87, 88, 89],
+    70: [86, 87, 88, 89],
+    80: [86, 87, 88, 89],
+    90: [86, 87, 88, 89],
+    100: [86, 87, 88, 89],
+    110: [85, 86, 87, 88, 89],
+    120: [86, 87, 88, 89],
+    130: [85, 86, 87, 88, 89],
+    140: [85, 86, 87, 88, 89],
+    150: [85, 86, 87, 88, 89],
+    160: [85, 86, 87, 88, 89],
+    170: [84, 85, 86, 87, 88, 89],
+    180: [84, 85, 86, 87, 88, 89],
+    190: [84, 85, 86, 87, 88, 89],
+    200: [84, 85, 86, 87, 88, 89],
+    210: [83, 84, 85, 86, 87, 88, 89],
+    220: [83, 84, 85, 86, 87, 88, 89],
+    230: [82, 83, 84, 85, 86, 87, 88, 89],
+    240: [83, 84, 85, 86, 87, 88, 89],
+    250: [82, 83, 84, 85, 86, 87, 88, 89],
+    260: [82, 83, 84, 85, 86, 87, 88, 89],
+    270: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    280: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    290: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    300: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    310: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    320: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    330: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    340: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    350: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    360: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    370: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    380: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    390: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    400: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    410: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    420: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    430: [89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  150: {
+    0: [86, 87, 88, 89],
+    10: [86, 87, 88, 89],
+    20: [86, 87, 88, 89],
+    30: [86, 87, 88, 89],
+    40: [86, 87, 88, 89],
+    50: [85, 86, 87, 88, 89],
+    60: [85, 86, 87, 88, 89],
+    70: [85, 86, 87, 88, 89],
+    80: [85, 86, 87, 88, 89],
+    90: [85, 86, 87, 88, 89],
+    100: [84, 85, 86, 87, 88, 89],
+    110: [84, 85, 86, 87, 88, 89],
+    120: [84, 85, 86, 87, 88, 89],
+    130: [84, 85, 86, 87, 88, 89],
+    140: [84, 85, 86, 87, 89],
+    150: [83, 84, 85, 86, 87, 88, 89],
+    160: [83, 84, 85, 86, 87, 89],
+    170: [83, 84, 85, 86, 87, 89],
+    180: [82, 83, 84, 85, 86, 87, 89],
+    190: [82, 83, 84, 85, 86, 87, 89],
+    200: [82, 83, 84, 85, 86, 87, 89],
+    210: [81, 82, 83, 84, 85, 86, 87, 89],
+    220: [81, 82, 83, 84, 85, 86, 89],
+    230: [80, 81, 82, 83, 84, 85, 86, 87, 89],
+    240: [81, 82, 83, 84, 85, 86, 89],
+    250: [79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    260: [79, 80, 81, 82, 83, 84, 85, 86, 89],
+    270: [78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    280: [78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    290: [78, 79, 80, 81, 82, 83, 84, 85, 89],
+    300: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    310: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    320: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    330: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    340: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    350: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    360: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    370: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    380: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    390: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    400: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    410: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 89],
+    420: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 89],
+    430: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  160: {
+    0: [85, 86, 87, 88],
+    10: [85, 86, 87, 88, 89],
+    20: [85, 86, 87, 88, 89],
+    30: [85, 86, 87, 88, 89],
+    40: [85, 86, 87, 88, 89],
+    50: [84, 85, 86, 87, 88, 89],
+    60: [84, 85, 86, 87, 88, 89],
+    70: [84, 85, 86, 87, 88, 89],
+    80: [84, 85, 86, 87, 88, 89],
+    90: [83, 84, 85, 86, 87, 88, 89],
+    100: [83, 84, 85, 86, 87, 88, 89],
+    110: [83, 84, 85, 86, 87, 88, 89],
+    120: [83, 84, 85, 86, 88, 89],
+    130: [82, 83, 84, 85, 86, 88, 89],
+    140: [82, 83, 84, 85, 86, 88, 89],
+    150: [82, 83, 84, 85, 86, 88, 89],
+    160: [82, 83, 84, 85, 86, 88, 89],
+    170: [81, 82, 83, 84, 85, 86, 88, 89],
+    180: [81, 82, 83, 84, 85, 88, 89],
+    190: [80, 81, 82, 83, 84, 85, 86, 88, 89],
+    200: [80, 81, 82, 83, 84, 85, 88, 89],
+    210: [79, 80, 81, 82, 83, 84, 85, 88, 89],
+    220: [79, 80, 81, 82, 83, 84, 88, 89],
+    230: [78, 79, 80, 81, 82, 83, 84, 85, 88, 89],
+    240: [78, 79, 80, 81, 82, 83, 84, 88, 89],
+    250: [77, 78, 79, 80, 81, 82, 83, 84, 88, 89],
+    260: [77, 78, 79, 80, 81, 82, 83, 84, 88, 89],
+    270: [76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    280: [75, 76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    290: [75, 76, 77, 78, 79, 80, 81, 82, 88, 89],
+    300: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    310: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 88, 89],
+    320: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88, 89],
+    330: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88, 89],
+    340: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 88, 89],
+    350: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88, 89],
+    360: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 88, 89],
+    370: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88, 89],
+    380: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    390: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 88, 89],
+    400: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 89],
+    410: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 88, 89],
+    420: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 89],
+    430: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 89],
+    440: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  170: {
+    0: [84, 85, 86, 87, 88],
+    10: [84, 85, 86, 87, 88],
+    20: [84, 85, 86, 88],
+    30: [84, 85, 86, 88],
+    40: [83, 84, 85, 86, 88],
+    50: [83, 84, 85, 86, 88],
+    60: [83, 84, 85, 86, 88],
+    70: [83, 84, 85, 86, 88],
+    80: [82, 83, 84, 85, 86, 88],
+    90: [82, 83, 84, 85, 88],
+    100: [82, 83, 84, 85, 88],
+    110: [82, 83, 84, 85, 88],
+    120: [81, 82, 83, 84, 85, 88],
+    130: [81, 82, 83, 84, 85, 88],
+    140: [81, 82, 83, 84, 85, 88],
+    150: [80, 81, 82, 83, 84, 85, 88],
+    160: [80, 81, 82, 83, 84, 88],
+    170: [79, 80, 81, 82, 83, 84, 88],
+    180: [79, 80, 81, 82, 83, 84, 88],
+    190: [78, 79, 80, 81, 82, 83, 84, 88],
+    200: [78, 79, 80, 81, 82, 83, 88],
+    210: [77, 78, 79, 80, 81, 82, 83, 88],
+    220: [77, 78, 79, 80, 81, 82, 83, 88],
+    230: [76, 77, 78, 79, 80, 81, 82, 83, 88],
+    240: [76, 77, 78, 79, 80, 81, 82, 88],
+    250: [75, 76, 77, 78, 79, 80, 81, 82, 88],
+    260: [74, 75, 76, 77, 78, 79, 80, 81, 82, 88],
+    270: [74, 75, 76, 77, 78, 79, 80, 88],
+    280: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88],
+    290: [72, 73, 74, 75, 76, 77, 78, 79, 80, 88],
+    300: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88],
+    310: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 88],
+    320: [69, 70, 71, 72, 73, 74, 75, 76, 77, 88],
+    330: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    340: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    350: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 88],
+    360: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 88],
+    370: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 88],
+    380: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    390: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    400: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 88],
+    410: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    420: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 88],
+    430: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 88],
+    440: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 88],
+    450: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 88],
+    460: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 88],
+    470: [88],
+    480: [88],
+    490: [88]
+  },
+  180: {
+    0: [83, 84, 85, 86, 87, 88],
+    10: [83, 84, 85, 86, 87, 88],
+    20: [83, 84, 85, 87, 88],
+    30: [83, 84, 85, 87, 88],
+    40: [82, 83, 84, 85, 87, 88],
+    50: [82, 83, 84, 85, 87, 88],
+    60: [82, 83, 84, 85, 87, 88],
+    70: [82, 83, 84, 85, 87, 88],
+    80: [81, 82, 83, 84, 87, 88],
+    90: [81, 82, 83, 84, 87, 88],
+    100: [81, 82, 83, 84, 87, 88],
+    110: [80, 81, 82, 83, 84, 87, 88],
+    120: [80, 81, 82, 83, 84, 87, 88],
+    130: [80, 81, 82, 83, 84, 87, 88],
+    140: [79, 80, 81, 82, 83, 87, 88],
+    150: [79, 80, 81, 82, 83, 87, 88],
+    160: [79, 80, 81, 82, 83, 87, 88],
+    170: [78, 79, 80, 81, 82, 83, 88],
+    180: [78, 79, 80, 81, 82, 87, 88],
+    190: [77, 78, 79, 80, 81, 82, 88],
+    200: [77, 78, 79, 80, 81, 88],
+    210: [76, 77, 78, 79, 80, 81, 88],
+    220: [75, 76, 77, 78, 79, 80, 81, 88],
+    230: [74, 75, 76, 77, 78, 79, 80, 81, 88],
+    240: [74, 75, 76, 77, 78, 79, 80, 88],
+    250: [73, 74, 75, 76, 77, 78, 79, 88],
+    260: [72, 73, 74, 75, 76, 77, 78, 79, 88],
+    270: [72, 73, 74, 75, 76, 77, 78, 88],
+    280: [70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    290: [69, 70, 71, 72, 73, 74, 75, 76, 77, 88],
+    300: [68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    310: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    320: [66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    330: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    340: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88],
+    350: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    360: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    370: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 88],
+    380: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    390: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    400: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    410: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 88],
+    420: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 88],
+    430: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 88],
+    440: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 88],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 88],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 88, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 88, 354, 355, 356, 357, 358, 359],
+    490: [0, 88, 354, 355, 356, 357, 358, 359]
+  },
+  190: {
+    0: [83, 84, 85, 86, 87],
+    10: [82, 83, 84, 85, 87],
+    20: [82, 83, 84, 87],
+    30: [82, 83, 84, 87],
+    40: [81, 82, 83, 84, 87],
+    50: [81, 82, 83, 84, 87],
+    60: [81, 82, 83, 84, 87],
+    70: [81, 82, 83, 84, 87],
+    80: [80, 81, 82, 83, 87],
+    90: [80, 81, 82, 83, 87],
+    100: [79, 80, 81, 82, 83, 87],
+    110: [79, 80, 81, 82, 87],
+    120: [79, 80, 81, 82, 87],
+    130: [78, 79, 80, 81, 82, 87],
+    140: [78, 79, 80, 81, 82, 87],
+    150: [77, 78, 79, 80, 81, 82, 87],
+    160: [77, 78, 79, 80, 81, 87],
+    170: [76, 77, 78, 79, 80, 81, 87],
+    180: [76, 77, 78, 79, 80, 81, 87],
+    190: [75, 76, 77, 78, 79, 80, 87],
+    200: [75, 76, 77, 78, 79, 80, 87],
+    210: [74, 75, 76, 77, 78, 79, 87, 88],
+    220: [73, 74, 75, 76, 77, 78, 79, 87],
+    230: [72, 73, 74, 75, 76, 77, 78, 87, 88],
+    240: [72, 73, 74, 75, 76, 77, 78, 87, 88],
+    250: [71, 72, 73, 74, 75, 76, 77, 87, 88],
+    260: [70, 71, 72, 73, 74, 75, 76, 77, 87, 88],
+    270: [69, 70, 71, 72, 73, 74, 75, 76, 87, 88],
+    280: [67, 68, 69, 70, 71, 72, 73, 74, 75, 87, 88],
+    290: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 87, 88],
+    300: [66, 67, 68, 69, 70, 71, 72, 73, 87, 88],
+    310: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 87, 88],
+    320: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 87, 88],
+    330: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87, 88],
+    340: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87, 88],
+    350: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 87, 88],
+    360: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 87, 88],
+    370: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 87, 88],
+    380: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87, 88],
+    390: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 87, 88],
+    400: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 88],
+    410: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 87, 88],
+    420: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 88],
+    430: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 87, 88],
+    440: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 88],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 88],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 88, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 88, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 88, 354, 355, 356, 357, 358, 359],
+    490: [0, 1, 2, 3, 88, 354, 355, 356, 357, 358, 359],
+    500: [354]
+  },
+  200: {
+    0: [82, 83, 84, 86, 87],
+    10: [81, 82, 83, 84, 86, 87],
+    20: [81, 82, 83, 84, 86, 87],
+    30: [81, 82, 83, 86, 87],
+    40: [80, 81, 82, 83, 86, 87],
+    50: [80, 81, 82, 83, 86, 87],
+    60: [80, 81, 82, 83, 86, 87],
+    70: [79, 80, 81, 82, 86, 87],
+    80: [79, 80, 81, 82, 86, 87],
+    90: [79, 80, 81, 82, 86, 87],
+    100: [78, 79, 80, 81, 82, 86, 87],
+    110: [78, 79, 80, 81, 87],
+    120: [77, 78, 79, 80, 81, 87],
+    130: [77, 78, 79, 80, 81, 87],
+    140: [76, 77, 78, 79, 80, 87],
+    150: [76, 77, 78, 79, 80, 87],
+    160: [75, 76, 77, 78, 79, 80, 87],
+    170: [75, 76, 77, 78, 79, 87],
+    180: [74, 75, 76, 77, 78, 79, 87],
+    190: [73, 74, 75, 76, 77, 78, 87],
+    200: [73, 74, 75, 76, 77, 78, 87],
+    210: [72, 73, 74, 75, 76, 77, 87],
+    220: [71, 72, 73, 74, 75, 76, 77, 87],
+    230: [71, 72, 73, 74, 75, 76, 87],
+    240: [69, 70, 71, 72, 73, 74, 75, 76, 87],
+    250: [69, 70, 71, 72, 73, 74, 75, 87],
+    260: [67, 68, 69, 70, 71, 72, 73, 74, 75, 87],
+    270: [67, 68, 69, 70, 71, 72, 73, 74, 87],
+    280: [66, 67, 68, 69, 70, 71, 72, 73, 87],
+    290: [64, 65, 66, 67, 68, 69, 70, 71, 72, 87],
+    300: [63, 64, 65, 66, 67, 68, 69, 70, 71, 87],
+    310: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87],
+    320: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 87],
+    330: [59, 60, 61, 62, 63, 64, 65, 66, 67, 87],
+    340: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 87],
+    350: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 87],
+    360: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 87],
+    370: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 87],
+    380: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
+    390: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 87],
+    400: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 87],
+    410: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 87],
+    420: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 87],
+    430: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 87],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 87],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 87],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 87, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 87, 354, 355, 356, 357, 358, 359],
+    490: [0, 87, 354, 355, 356, 357, 358, 359]
+  },
+  210: {
+    0: [81, 82, 83, 86],
+    10: [81, 82, 83, 86],
+    20: [80, 81, 82, 83, 86],
+    30: [80, 81, 82, 86],
+    40: [79, 80, 81, 82, 86],
+    50: [79, 80, 81, 82, 86],
+    60: [79, 80, 81, 82, 86],
+    70: [78, 79, 80, 81, 86],
+    80: [78, 79, 80, 81, 86],
+    90: [78, 79, 80, 81, 86, 87],
+    100: [77, 78, 79, 80, 86, 87],
+    110: [77, 78, 79, 80, 86, 87],
+    120: [76, 77, 78, 79, 80, 86, 87],
+    130: [76, 77, 78, 79, 86, 87],
+    140: [75, 76, 77, 78, 79, 86, 87],
+    150: [75, 76, 77, 78, 86, 87],
+    160: [74, 75, 76, 77, 78, 86, 87],
+    170: [73, 74, 75, 76, 77, 78, 86, 87],
+    180: [73, 74, 75, 76, 77, 86, 87],
+    190: [72, 73, 74, 75, 76, 77, 86, 87],
+    200: [71, 72, 73, 74, 75, 76, 86, 87],
+    210: [71, 72, 73, 74, 75, 86, 87],
+    220: [69, 70, 71, 72, 73, 74, 75, 86, 87],
+    230: [69, 70, 71, 72, 73, 74, 86, 87],
+    240: [68, 69, 70, 71, 72, 73, 74, 87],
+    250: [67, 68, 69, 70, 71, 72, 73, 86, 87],
+    260: [66, 67, 68, 69, 70, 71, 72, 87],
+    270: [64, 65, 66, 67, 68, 69, 70, 71, 72, 87],
+    280: [64, 65, 66, 67, 68, 69, 70, 87],
+    290: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87],
+    300: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 87],
+    310: [59, 60, 61, 62, 63, 64, 65, 66, 67, 87],
+    320: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 87],
+    330: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 87],
+    340: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87],
+    350: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87],
+    360: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
+    370: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 87],
+    380: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 87],
+    390: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 87],
+    400: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 87],
+    410: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 87],
+    420: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 87],
+    430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 87],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 87],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 87],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 87, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 87, 356, 357, 358, 359],
+    490: [0, 1, 87, 356, 357, 358, 359]
+  },
+  220: {
+    0: [80, 81, 82, 85, 86],
+    10: [80, 81, 82, 85, 86],
+    20: [79, 80, 81, 82, 85, 86],
+    30: [79, 80, 81, 85, 86],
+    40: [78, 79, 80, 81, 85, 86],
+    50: [78, 79, 80, 81, 85, 86],
+    60: [78, 79, 80, 81, 86],
+    70: [77, 78, 79, 80, 86],
+    80: [77, 78, 79, 80, 86],
+    90: [76, 77, 78, 79, 80, 86],
+    100: [76, 77, 78, 79, 86],
+    110: [75, 76, 77, 78, 79, 86],
+    120: [75, 76, 77, 78, 86],
+    130: [75, 76, 77, 78, 86],
+    140: [74, 75, 76, 77, 78, 86],
+    150: [73, 74, 75, 76, 77, 86],
+    160: [72, 73, 74, 75, 76, 77, 86],
+    170: [72, 73, 74, 75, 76, 86],
+    180: [71, 72, 73, 74, 75, 76, 86],
+    190: [71, 72, 73, 74, 75, 86],
+    200: [69, 70, 71, 72, 73, 74, 75, 86],
+    210: [69, 70, 71, 72, 73, 74, 86],
+    220: [68, 69, 70, 71, 72, 73, 86],
+    230: [67, 68, 69, 70, 71, 72, 73, 86],
+    240: [66, 67, 68, 69, 70, 71, 72, 86],
+    250: [65, 66, 67, 68, 69, 70, 71, 86],
+    260: [64, 65, 66, 67, 68, 69, 70, 86],
+    270: [62, 63, 64, 65, 66, 67, 68, 69, 70, 86],
+    280: [61, 62, 63, 64, 65, 66, 67, 68, 86],
+    290: [60, 61, 62, 63, 64, 65, 66, 67, 86],
+    300: [58, 59, 60, 61, 62, 63, 64, 65, 66, 86, 87],
+    310: [57, 58, 59, 60, 61, 62, 63, 64, 86, 87],
+    320: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 86, 87],
+    330: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 86, 87],
+    340: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 86, 87],
+    350: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 86, 87],
+    360: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 86, 87],
+    370: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 86, 87],
+    380: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 86, 87],
+    390: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 86, 87],
+    400: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 86, 87],
+    410: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 86, 87],
+    420: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 86, 87],
+    430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 86, 87],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 86, 87],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 87],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 86, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 87, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 87, 356, 357, 358, 359],
+    490: [0, 1, 2, 87, 356, 357, 358, 359],
+    500: [356, 357]
+  },
+  230: {
+    0: [79, 80, 81, 85],
+    10: [79, 80, 81, 85],
+    20: [78, 79, 80, 81, 85],
+    30: [78, 79, 80, 85],
+    40: [78, 79, 80, 85],
+    50: [77, 78, 79, 80, 85, 86],
+    60: [77, 78, 79, 80, 85, 86],
+    70: [76, 77, 78, 79, 85, 86],
+    80: [76, 77, 78, 79, 85, 86],
+    90: [75, 76, 77, 78, 85, 86],
+    100: [75, 76, 77, 78, 85, 86],
+    110: [74, 75, 76, 77, 78, 85, 86],
+    120: [74, 75, 76, 77, 85, 86],
+    130: [73, 74, 75, 76, 77, 85, 86],
+    140: [72, 73, 74, 75, 76, 85, 86],
+    150: [72, 73, 74, 75, 76, 85, 86],
+    160: [71, 72, 73, 74, 75, 86],
+    170: [71, 72, 73, 74, 75, 86],
+    180: [70, 71, 72, 73, 74, 86],
+    190: [69, 70, 71, 72, 73, 74, 86],
+    200: [68, 69, 70, 71, 72, 73, 86],
+    210: [67, 68, 69, 70, 71, 72, 86],
+    220: [66, 67, 68, 69, 70, 71, 86],
+    230: [65, 66, 67, 68, 69, 70, 71, 86],
+    240: [64, 65, 66, 67, 68, 69, 70, 86],
+    250: [63, 64, 65, 66, 67, 68, 69, 86],
+    260: [62, 63, 64, 65, 66, 67, 68, 86],
+    270: [60, 61, 62, 63, 64, 65, 66, 67, 86],
+    280: [59, 60, 61, 62, 63, 64, 65, 66, 86],
+    290: [58, 59, 60, 61, 62, 63, 64, 65, 86],
+    300: [56, 57, 58, 59, 60, 61, 62, 63, 64, 86],
+    310: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 86],
+    320: [53, 54, 55, 56, 57, 58, 59, 60, 86],
+    330: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 86],
+    340: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 86],
+    350: [47, 48, 49, 50, 51, 52, 53, 54, 55, 86],
+    360: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 86],
+    370: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 86],
+    380: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 86],
+    390: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 86],
+    400: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 86],
+    410: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 86],
+    420: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 86],
+    430: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 86],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 86],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 86],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 86, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 86, 356, 357, 358, 359],
+    490: [0, 86, 356, 357, 358, 359]
+  },
+  240: {
+    0: [78, 79, 80, 81, 84, 85],
+    10: [78, 79, 80, 84, 85],
+    20: [77, 78, 79, 80, 84, 85],
+    30: [77, 78, 79, 80, 84, 85],
+    40: [77, 78, 79, 84, 85],
+    50: [76, 77, 78, 79, 85],
+    60: [76, 77, 78, 85],
+    70: [75, 76, 77, 78, 85],
+    80: [75, 76, 77, 78, 85],
+    90: [74, 75, 76, 77, 85],
+    100: [74, 75, 76, 77, 85],
+    110: [73, 74, 75, 76, 77, 85],
+    120: [72, 73, 74, 75, 76, 85],
+    130: [72, 73, 74, 75, 76, 85],
+    140: [71, 72, 73, 74, 75, 85],
+    150: [71, 72, 73, 74, 75, 85],
+    160: [70, 71, 72, 73, 74, 85, 86],
+    170: [69, 70, 71, 72, 73, 85],
+    180: [68, 69, 70, 71, 72, 73, 85, 86],
+    190: [67, 68, 69, 70, 71, 72, 85, 86],
+    200: [67, 68, 69, 70, 71, 85, 86],
+    210: [66, 67, 68, 69, 70, 71, 85, 86],
+    220: [65, 66, 67, 68, 69, 70, 85, 86],
+    230: [63, 64, 65, 66, 67, 68, 69, 85, 86],
+    240: [63, 64, 65, 66, 67, 68, 85, 86],
+    250: [61, 62, 63, 64, 65, 66, 67, 85, 86],
+    260: [60, 61, 62, 63, 64, 65, 66, 67, 85, 86],
+    270: [59, 60, 61, 62, 63, 64, 65, 85, 86],
+    280: [57, 58, 59, 60, 61, 62, 63, 64, 86],
+    290: [56, 57, 58, 59, 60, 61, 62, 63, 85, 86],
+    300: [54, 55, 56, 57, 58, 59, 60, 61, 86],
+    310: [52, 53, 54, 55, 56, 57, 58, 59, 60, 86],
+    320: [51, 52, 53, 54, 55, 56, 57, 58, 59, 86],
+    330: [48, 49, 50, 51, 52, 53, 54, 55, 56, 86],
+    340: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 86],
+    350: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 86],
+    360: [42, 43, 44, 45, 46, 47, 48, 49, 50, 86],
+    370: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 86],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 86],
+    390: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 86],
+    400: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 86],
+    410: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 86],
+    420: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 86],
+    430: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 86],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 86],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 86],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 86, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 86, 358, 359],
+    490: [0, 1, 2, 86, 358, 359]
+  },
+  250: {
+    0: [78, 79, 80, 84],
+    10: [77, 78, 79, 84],
+    20: [77, 78, 79, 84],
+    30: [76, 77, 78, 79, 84, 85],
+    40: [76, 77, 78, 84, 85],
+    50: [75, 76, 77, 78, 84, 85],
+    60: [75, 76, 77, 84, 85],
+    70: [74, 75, 76, 77, 84, 85],
+    80: [74, 75, 76, 77, 84, 85],
+    90: [73, 74, 75, 76, 84, 85],
+    100: [73, 74, 75, 76, 84, 85],
+    110: [72, 73, 74, 75, 84, 85],
+    120: [71, 72, 73, 74, 75, 85],
+    130: [71, 72, 73, 74, 85],
+    140: [70, 71, 72, 73, 74, 85],
+    150: [69, 70, 71, 72, 73, 85],
+    160: [69, 70, 71, 72, 85],
+    170: [68, 69, 70, 71, 72, 85],
+    180: [67, 68, 69, 70, 71, 85],
+    190: [66, 67, 68, 69, 70, 71, 85],
+    200: [65, 66, 67, 68, 69, 70, 85],
+    210: [64, 65, 66, 67, 68, 69, 85],
+    220: [63, 64, 65, 66, 67, 68, 85],
+    230: [62, 63, 64, 65, 66, 67, 85],
+    240: [61, 62, 63, 64, 65, 66, 67, 85],
+    250: [60, 61, 62, 63, 64, 65, 85],
+    260: [58, 59, 60, 61, 62, 63, 64, 65, 85],
+    270: [57, 58, 59, 60, 61, 62, 63, 85],
+    280: [55, 56, 57, 58, 59, 60, 61, 62, 85],
+    290: [54, 55, 56, 57, 58, 59, 60, 61, 85],
+    300: [53, 54, 55, 56, 57, 58, 59, 85],
+    310: [50, 51, 52, 53, 54, 55, 56, 57, 58, 85],
+    320: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 85],
+    330: [47, 48, 49, 50, 51, 52, 53, 54, 85],
+    340: [44, 45, 46, 47, 48, 49, 50, 51, 52, 85],
+    350: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 85, 86],
+    360: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 85],
+    370: [37, 38, 39, 40, 41, 42, 43, 44, 45, 85, 86],
+    380: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 85],
+    390: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 85, 86],
+    400: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 85],
+    410: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 85, 86],
+    420: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 85, 86],
+    430: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 85, 86],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 85, 86],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 86],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 85, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 86, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 85, 86, 358, 359],
+    490: [0, 1, 2, 3, 86, 358, 359],
+    500: [358]
+  },
+  260: {
+    0: [77, 78, 79, 83, 84],
+    10: [76, 77, 78, 79, 83, 84],
+    20: [76, 77, 78, 83, 84],
+    30: [75, 76, 77, 78, 84],
+    40: [75, 76, 77, 84],
+    50: [74, 75, 76, 77, 84],
+    60: [74, 75, 76, 77, 84],
+    70: [73, 74, 75, 76, 84],
+    80: [73, 74, 75, 76, 84],
+    90: [72, 73, 74, 75, 84],
+    100: [71, 72, 73, 74, 75, 84],
+    110: [71, 72, 73, 74, 84],
+    120: [70, 71, 72, 73, 74, 84, 85],
+    130: [69, 70, 71, 72, 73, 84, 85],
+    140: [69, 70, 71, 72, 73, 84, 85],
+    150: [68, 69, 70, 71, 72, 84, 85],
+    160: [67, 68, 69, 70, 71, 84, 85],
+    170: [66, 67, 68, 69, 70, 71, 84, 85],
+    180: [66, 67, 68, 69, 70, 84, 85],
+    190: [64, 65, 66, 67, 68, 69, 84, 85],
+    200: [64, 65, 66, 67, 68, 69, 84, 85],
+    210: [63, 64, 65, 66, 67, 85],
+    220: [62, 63, 64, 65, 66, 67, 85],
+    230: [61, 62, 63, 64, 65, 66, 85],
+    240: [59, 60, 61, 62, 63, 64, 65, 85],
+    250: [58, 59, 60, 61, 62, 63, 64, 85],
+    260: [57, 58, 59, 60, 61, 62, 63, 85],
+    270: [55, 56, 57, 58, 59, 60, 61, 62, 85],
+    280: [54, 55, 56, 57, 58, 59, 60, 85],
+    290: [52, 53, 54, 55, 56, 57, 58, 59, 85],
+    300: [50, 51, 52, 53, 54, 55, 56, 57, 58, 85],
+    310: [49, 50, 51, 52, 53, 54, 55, 85],
+    320: [46, 47, 48, 49, 50, 51, 52, 53, 54, 85],
+    330: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 85],
+    340: [43, 44, 45, 46, 47, 48, 49, 50, 85],
+    350: [40, 41, 42, 43, 44, 45, 46, 47, 48, 85],
+    360: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 85],
+    370: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 85],
+    380: [33, 34, 35, 36, 37, 38, 39, 40, 41, 85],
+    390: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 85],
+    400: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 85],
+    410: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 85],
+    420: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 85],
+    430: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 85],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 85],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 85],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 85, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 85, 358, 359],
+    490: [0, 1, 85, 358, 359]
+  },
+  270: {
+    0: [76, 77, 78, 83],
+    10: [75, 76, 77, 78, 83, 84],
+    20: [75, 76, 77, 83, 84],
+    30: [74, 75, 76, 77, 83, 84],
+    40: [74, 75, 76, 83, 84],
+    50: [73, 74, 75, 76, 83, 84],
+    60: [73, 74, 75, 76, 83, 84],
+    70: [72, 73, 74, 75, 83, 84],
+    80: [72, 73, 74, 75, 83, 84],
+    90: [71, 72, 73, 74, 84],
+    100: [70, 71, 72, 73, 74, 84],
+    110: [70, 71, 72, 73, 84],
+    120: [69, 70, 71, 72, 73, 84],
+    130: [68, 69, 70, 71, 72, 84],
+    140: [68, 69, 70, 71, 84],
+    150: [67, 68, 69, 70, 84],
+    160: [66, 67, 68, 69, 70, 84],
+    170: [65, 66, 67, 68, 69, 84],
+    180: [64, 65, 66, 67, 68, 69, 84],
+    190: [63, 64, 65, 66, 67, 68, 84],
+    200: [62, 63, 64, 65, 66, 67, 84],
+    210: [62, 63, 64, 65, 66, 84],
+    220: [60, 61, 62, 63, 64, 65, 84],
+    230: [59, 60, 61, 62, 63, 64, 84, 85],
+    240: [58, 59, 60, 61, 62, 63, 84],
+    250: [56, 57, 58, 59, 60, 61, 62, 84, 85],
+    260: [55, 56, 57, 58, 59, 60, 61, 84, 85],
+    270: [53, 54, 55, 56, 57, 58, 59, 60, 84, 85],
+    280: [52, 53, 54, 55, 56, 57, 58, 59, 84, 85],
+    290: [51, 52, 53, 54, 55, 56, 84, 85],
+    300: [48, 49, 50, 51, 52, 53, 54, 55, 56, 84, 85],
+    310: [47, 48, 49, 50, 51, 52, 53, 54, 84, 85],
+    320: [45, 46, 47, 48, 49, 50, 51, 52, 84, 85],
+    330: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 84, 85],
+    340: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 85],
+    350: [39, 40, 41, 42, 43, 44, 45, 46, 85],
+    360: [36, 37, 38, 39, 40, 41, 42, 43, 44, 85],
+    370: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 85],
+    380: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 85],
+    390: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 85],
+    400: [25, 26, 27, 28, 29, 30, 31, 32, 33, 85],
+    410: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 85],
+    420: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 85],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 85],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 85],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 85],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 85],
+    480: [0, 1, 2, 3, 4, 5, 6, 85],
+    490: [0, 1, 2, 85],
+    500: [85]
+  },
+  280: {
+    0: [75, 76, 77, 82, 83],
+    10: [75, 76, 77, 82, 83],
+    20: [74, 75, 76, 82, 83],
+    30: [74, 75, 76, 83],
+    40: [73, 74, 75, 76, 83],
+    50: [72, 73, 74, 75, 83],
+    60: [72, 73, 74, 75, 83],
+    70: [71, 72, 73, 74, 83],
+    80: [71, 72, 73, 74, 83, 84],
+    90: [70, 71, 72, 73, 83, 84],
+    100: [69, 70, 71, 72, 83, 84],
+    110: [69, 70, 71, 72, 83, 84],
+    120: [68, 69, 70, 71, 83, 84],
+    130: [67, 68, 69, 70, 71, 83, 84],
+    140: [66, 67, 68, 69, 70, 83, 84],
+    150: [66, 67, 68, 69, 83, 84],
+    160: [65, 66, 67, 68, 69, 83, 84],
+    170: [64, 65, 66, 67, 68, 84],
+    180: [63, 64, 65, 66, 67, 84],
+    190: [62, 63, 64, 65, 66, 84],
+    200: [61, 62, 63, 64, 65, 66, 84],
+    210: [60, 61, 62, 63, 64, 65, 84],
+    220: [59, 60, 61, 62, 63, 64, 84],
+    230: [58, 59, 60, 61, 62, 63, 84],
+    240: [57, 58, 59, 60, 61, 62, 84],
+    250: [55, 56, 57, 58, 59, 60, 61, 84],
+    260: [54, 55, 56, 57, 58, 59, 60, 84],
+    270: [52, 53, 54, 55, 56, 57, 58, 84],
+    280: [50, 51, 52, 53, 54, 55, 56, 57, 84],
+    290: [49, 50, 51, 52, 53, 54, 55, 56, 84],
+    300: [47, 48, 49, 50, 51, 52, 53, 84],
+    310: [45, 46, 47, 48, 49, 50, 51, 52, 53, 84],
+    320: [44, 45, 46, 47, 48, 49, 50, 51, 84],
+    330: [42, 43, 44, 45, 46, 47, 48, 84],
+    340: [39, 40, 41, 42, 43, 44, 45, 46, 47, 84],
+    350: [37, 38, 39, 40, 41, 42, 43, 44, 45, 84],
+    360: [35, 36, 37, 38, 39, 40, 41, 42, 43, 84],
+    370: [32, 33, 34, 35, 36, 37, 38, 39, 84],
+    380: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 84],
+    390: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 84, 85],
+    400: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 84],
+    410: [21, 22, 23, 24, 25, 26, 27, 28, 29, 84, 85],
+    420: [18, 19, 20, 21, 22, 23, 24, 25, 26, 84, 85],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 84, 85],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 84, 85],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 84, 85],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 84, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 84, 85],
+    480: [0, 1, 2, 3, 4, 5, 6, 85],
+    490: [0, 1, 2, 3, 85]
+  },
+  290: {
+    0: [74, 75, 76, 77, 82, 83],
+    10: [74, 75, 76, 82, 83],
+    20: [73, 74, 75, 76, 82, 83],
+    30: [73, 74, 75, 82, 83],
+    40: [72, 73, 74, 75, 82, 83],
+    50: [72, 73, 74, 82, 83],
+    60: [71, 72, 73, 74, 82, 83],
+    70: [70, 71, 72, 73, 83],
+    80: [70, 71, 72, 73, 83],
+    90: [69, 70, 71, 72, 83],
+    100: [68, 69, 70, 71, 72, 83],
+    110: [68, 69, 70, 71, 83],
+    120: [67, 68, 69, 70, 83],
+    130: [66, 67, 68, 69, 70, 83],
+    140: [65, 66, 67, 68, 69, 83],
+    150: [65, 66, 67, 68, 83],
+    160: [64, 65, 66, 67, 83],
+    170: [63, 64, 65, 66, 67, 83, 84],
+    180: [62, 63, 64, 65, 66, 83, 84],
+    190: [61, 62, 63, 64, 65, 83, 84],
+    200: [60, 61, 62, 63, 64, 83, 84],
+    210: [59, 60, 61, 62, 63, 83, 84],
+    220: [58, 59, 60, 61, 62, 83, 84],
+    230: [56, 57, 58, 59, 60, 61, 83, 84],
+    240: [55, 56, 57, 58, 59, 60, 83, 84],
+    250: [54, 55, 56, 57, 58, 59, 84],
+    260: [52, 53, 54, 55, 56, 57, 58, 84],
+    270: [51, 52, 53, 54, 55, 56, 57, 84],
+    280: [49, 50, 51, 52, 53, 54, 55, 84],
+    290: [47, 48, 49, 50, 51, 52, 53, 54, 84],
+    300: [46, 47, 48, 49, 50, 51, 52, 84],
+    310: [44, 45, 46, 47, 48, 49, 50, 84],
+    320: [42, 43, 44, 45, 46, 47, 48, 49, 84],
+    330: [40, 41, 42, 43, 44, 45, 46, 47, 84],
+    340: [38, 39, 40, 41, 42, 43, 44, 84],
+    350: [35, 36, 37, 38, 39, 40, 41, 42, 43, 84],
+    360: [33, 34, 35, 36, 37, 38, 39, 40, 41, 84],
+    370: [31, 32, 33, 34, 35, 36, 37, 38, 39, 84],
+    380: [29, 30, 31, 32, 33, 34, 35, 36, 84],
+    390: [25, 26, 27, 28, 29, 30, 31, 32, 33, 84],
+    400: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 84],
+    410: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 84],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 84],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 84],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 84],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 84],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 84],
+    480: [0, 1, 2, 3, 4],
+    490: [0, 1]
+  },
+  300: {
+    0: [74, 75, 76, 81, 82],
+    10: [73, 74, 75, 81, 82],
+    20: [73, 74, 75, 82],
+    30: [72, 73, 74, 82],
+    40: [71, 72, 73, 74, 82],
+    50: [71, 72, 73, 82],
+    60: [70, 71, 72, 73, 82, 83],
+    70: [70, 71, 72, 82, 83],
+    80: [69, 70, 71, 72, 82, 83],
+    90: [68, 69, 70, 71, 82, 83],
+    100: [68, 69, 70, 71, 82, 83],
+    110: [67, 68, 69, 70, 82, 83],
+    120: [66, 67, 68, 69, 82, 83],
+    130: [65, 66, 67, 68, 69, 82, 83],
+    140: [64, 65, 66, 67, 68, 83],
+    150: [63, 64, 65, 66, 67, 83],
+    160: [63, 64, 65, 66, 83],
+    170: [62, 63, 64, 65, 66, 83],
+    180: [61, 62, 63, 64, 65, 83],
+    190: [59, 60, 61, 62, 63, 64, 83],
+    200: [59, 60, 61, 62, 63, 83],
+    210: [57, 58, 59, 60, 61, 62, 83],
+    220: [56, 57, 58, 59, 60, 61, 83],
+    230: [55, 56, 57, 58, 59, 60, 83],
+    240: [54, 55, 56, 57, 58, 59, 83],
+    250: [53, 54, 55, 56, 57, 58, 83],
+    260: [51, 52, 53, 54, 55, 56, 83],
+    270: [49, 50, 51, 52, 53, 54, 55, 83, 84],
+    280: [48, 49, 50, 51, 52, 53, 54, 83],
+    290: [46, 47, 48, 49, 50, 51, 52, 83, 84],
+    300: [44, 45, 46, 47, 48, 49, 50, 51, 83, 84],
+    310: [43, 44, 45, 46, 47, 48, 49, 83, 84],
+    320: [41, 42, 43, 44, 45, 46, 47, 83, 84],
+    330: [38, 39, 40, 41, 42, 43, 44, 45, 46, 83, 84],
+    340: [37, 38, 39, 40, 41, 42, 43, 44, 83, 84],
+    350: [35, 36, 37, 38, 39, 40, 41, 83, 84],
+    360: [32, 33, 34, 35, 36, 37, 38, 39, 83, 84],
+    370: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 84],
+    380: [27, 28, 29, 30, 31, 32, 33, 34, 35, 84],
+    390: [25, 26, 27, 28, 29, 30, 31, 32, 33, 84],
+    400: [22, 23, 24, 25, 26, 27, 28, 29, 84],
+    410: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 84],
+    420: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 84],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 84],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 84],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 84],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 84],
+    470: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 84],
+    480: [1, 2, 3, 4, 5, 6, 84],
+    490: [1, 2, 3]
+  },
+  310: {
+    0: [73, 74, 75, 81, 82],
+    10: [72, 73, 74, 75, 81, 82],
+    20: [72, 73, 74, 81, 82],
+    30: [71, 72, 73, 74, 81, 82],
+    40: [71, 72, 73, 81, 82],
+    50: [70, 71, 72, 73, 81, 82],
+    60: [69, 70, 71, 72, 82],
+    70: [69, 70, 71, 82],
+    80: [68, 69, 70, 71, 82],
+    90: [67, 68, 69, 70, 82],
+    100: [66, 67, 68, 69, 70, 82],
+    110: [66, 67, 68, 69, 82],
+    120: [65, 66, 67, 68, 82, 83],
+    130: [64, 65, 66, 67, 82, 83],
+    140: [63, 64, 65, 66, 67, 82, 83],
+    150: [62, 63, 64, 65, 66, 82, 83],
+    160: [62, 63, 64, 65, 82, 83],
+    170: [60, 61, 62, 63, 64, 82, 83],
+    180: [60, 61, 62, 63, 64, 82, 83],
+    190: [58, 59, 60, 61, 62, 82, 83],
+    200: [57, 58, 59, 60, 61, 62, 83],
+    210: [56, 57, 58, 59, 60, 61, 83],
+    220: [55, 56, 57, 58, 59, 60, 83],
+    230: [54, 55, 56, 57, 58, 59, 83],
+    240: [52, 53, 54, 55, 56, 57, 83],
+    250: [51, 52, 53, 54, 55, 56, 57, 83],
+    260: [50, 51, 52, 53, 54, 55, 83],
+    270: [48, 49, 50, 51, 52, 53, 54, 83],
+    280: [47, 48, 49, 50, 51, 52, 53, 83],
+    290: [45, 46, 47, 48, 49, 50, 51, 83],
+    300: [43, 44, 45, 46, 47, 48, 49, 83],
+    310: [41, 42, 43, 44, 45, 46, 47, 48, 83],
+    320: [40, 41, 42, 43, 44, 45, 46, 83],
+    330: [37, 38, 39, 40, 41, 42, 43, 44, 83],
+    340: [35, 36, 37, 38, 39, 40, 41, 42, 43, 83],
+    350: [33, 34, 35, 36, 37, 38, 39, 40, 41, 83],
+    360: [32, 33, 34, 35, 36, 37, 38, 83],
+    370: [29, 30, 31, 32, 33, 34, 35, 83],
+    380: [26, 27, 28, 29, 30, 31, 32, 33, 34, 83],
+    390: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 83],
+    400: [21, 22, 23, 24, 25, 26, 27, 28, 29, 83],
+    410: [19, 20, 21, 22, 23, 24, 25, 26, 83],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 83, 84],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 83],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 83, 84],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 83],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 83, 84],
+    470: [1, 2, 3, 4, 5, 6, 7, 8, 9, 83, 84],
+    480: [1, 2, 3, 4, 5, 6],
+    490: [1, 2, 3]
+  },
+  320: {
+    0: [72, 73, 74, 75, 80, 81],
+    10: [72, 73, 74, 80, 81],
+    20: [71, 72, 73, 81],
+    30: [70, 71, 72, 73, 81],
+    40: [70, 71, 72, 81],
+    50: [69, 70, 71, 72, 81, 82],
+    60: [69, 70, 71, 81, 82],
+    70: [68, 69, 70, 81, 82],
+    80: [67, 68, 69, 70, 81, 82],
+    90: [66, 67, 68, 69, 81, 82],
+    100: [65, 66, 67, 68, 69, 81, 82],
+    110: [65, 66, 67, 68, 82],
+    120: [64, 65, 66, 67, 82],
+    130: [63, 64, 65, 66, 67, 82],
+    140: [62, 63, 64, 65, 66, 82],
+    150: [61, 62, 63, 64, 65, 82],
+    160: [60, 61, 62, 63, 64, 82],
+    170: [60, 61, 62, 63, 82],
+    180: [58, 59, 60, 61, 62, 82],
+    190: [58, 59, 60, 61, 62, 82],
+    200: [56, 57, 58, 59, 60, 61, 82],
+    210: [55, 56, 57, 58, 59, 60, 82],
+    220: [54, 55, 56, 57, 58, 82, 83],
+    230: [53, 54, 55, 56, 57, 58, 82, 83],
+    240: [52, 53, 54, 55, 56, 82, 83],
+    250: [50, 51, 52, 53, 54, 55, 82, 83],
+    260: [49, 50, 51, 52, 53, 54, 82, 83],
+    270: [47, 48, 49, 50, 51, 52, 82, 83],
+    280: [45, 46, 47, 48, 49, 50, 51, 82, 83],
+    290: [44, 45, 46, 47, 48, 49, 50, 83],
+    300: [42, 43, 44, 45, 46, 47, 48, 83],
+    310: [40, 41, 42, 43, 44, 45, 46, 83],
+    320: [38, 39, 40, 41, 42, 43, 44, 45, 83],
+    330: [37, 38, 39, 40, 41, 42, 43, 83],
+    340: [34, 35, 36, 37, 38, 39, 40, 83],
+    350: [32, 33, 34, 35, 36, 37, 38, 39, 83],
+    360: [30, 31, 32, 33, 34, 35, 36, 37, 83],
+    370: [28, 29, 30, 31, 32, 33, 34, 35, 83],
+    380: [26, 27, 28, 29, 30, 31, 32, 83],
+    390: [23, 24, 25, 26, 27, 28, 29, 30, 83],
+    400: [20, 21, 22, 23, 24, 25, 26, 27, 28, 83],
+    410: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 83],
+    420: [15, 16, 17, 18, 19, 20, 21, 22, 23, 83],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 20, 83],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 83],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 83],
+    460: [5, 6, 7, 8, 9, 10, 11, 83],
+    470: [2, 3, 4, 5, 6, 7, 8, 83],
+    480: [1, 2, 3, 4, 5, 83],
+    490: [1, 2]
+  },
+  330: {
+    0: [72, 73, 74, 80, 81],
+    10: [71, 72, 73, 80, 81],
+    20: [70, 71, 72, 73, 80, 81],
+    30: [70, 71, 72, 80, 81],
+    40: [69, 70, 71, 72, 80, 81],
+    50: [68, 69, 70, 71, 80, 81],
+    60: [68, 69, 70, 81],
+    70: [67, 68, 69, 70, 81],
+    80: [66, 67, 68, 69, 81],
+    90: [65, 66, 67, 68, 81],
+    100: [65, 66, 67, 68, 81, 82],
+    110: [64, 65, 66, 67, 81, 82],
+    120: [63, 64, 65, 66, 81, 82],
+    130: [62, 63, 64, 65, 66, 81, 82],
+    140: [61, 62, 63, 64, 65, 81, 82],
+    150: [61, 62, 63, 64, 81, 82],
+    160: [59, 60, 61, 62, 63, 81, 82],
+    170: [59, 60, 61, 62, 82],
+    180: [57, 58, 59, 60, 61, 82],
+    190: [56, 57, 58, 59, 60, 61, 82],
+    200: [55, 56, 57, 58, 59, 82],
+    210: [54, 55, 56, 57, 58, 82],
+    220: [53, 54, 55, 56, 57, 82],
+    230: [51, 52, 53, 54, 55, 56, 82],
+    240: [50, 51, 52, 53, 54, 55, 82],
+    250: [49, 50, 51, 52, 53, 54, 82],
+    260: [47, 48, 49, 50, 51, 52, 53, 82],
+    270: [46, 47, 48, 49, 50, 51, 82],
+    280: [44, 45, 46, 47, 48, 49, 82],
+    290: [43, 44, 45, 46, 47, 48, 82],
+    300: [41, 42, 43, 44, 45, 46, 47, 82],
+    310: [40, 41, 42, 43, 44, 45, 82, 83],
+    320: [37, 38, 39, 40, 41, 42, 43, 82, 83],
+    330: [35, 36, 37, 38, 39, 40, 41, 42, 82, 83],
+    340: [34, 35, 36, 37, 38, 39, 40, 82, 83],
+    350: [32, 33, 34, 35, 36, 37, 82, 83],
+    360: [29, 30, 31, 32, 33, 34, 35, 36, 82, 83],
+    370: [27, 28, 29, 30, 31, 32, 33, 34, 82, 83],
+    380: [25, 26, 27, 28, 29, 30, 31, 32, 82, 83],
+    390: [23, 24, 25, 26, 27, 28, 29, 30, 83],
+    400: [20, 21, 22, 23, 24, 25, 26, 27, 83],
+    410: [17, 18, 19, 20, 21, 22, 23, 24, 83],
+    420: [14, 15, 16, 17, 18, 19, 20, 21, 22, 83],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 83],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 83],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 83],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 83],
+    470: [2, 3, 4, 5, 6, 7, 8, 9, 83],
+    480: [2, 3, 4, 5, 6, 7, 83],
+    490: [2, 3, 4]
+  },
+  340: {
+    0: [71, 72, 73, 79, 80],
+    10: [70, 71, 72, 73, 79, 80],
+    20: [70, 71, 72, 80],
+    30: [69, 70, 71, 80],
+    40: [68, 69, 70, 71, 80, 81],
+    50: [68, 69, 70, 80, 81],
+    60: [67, 68, 69, 70, 80, 81],
+    70: [66, 67, 68, 69, 80, 81],
+    80: [65, 66, 67, 68, 80, 81],
+    90: [65, 66, 67, 68, 80, 81],
+    100: [64, 65, 66, 67, 81],
+    110: [63, 64, 65, 66, 81],
+    120: [62, 63, 64, 65, 81],
+    130: [61, 62, 63, 64, 65, 81],
+    140: [60, 61, 62, 63, 64, 81],
+    150: [59, 60, 61, 62, 63, 81],
+    160: [59, 60, 61, 62, 81],
+    170: [57, 58, 59, 60, 61, 81, 82],
+    180: [57, 58, 59, 60, 81, 82],
+    190: [55, 56, 57, 58, 59, 81, 82],
+    200: [55, 56, 57, 58, 81, 82],
+    210: [53, 54, 55, 56, 57, 81, 82],
+    220: [52, 53, 54, 55, 56, 81, 82],
+    230: [51, 52, 53, 54, 55, 81, 82],
+    240: [49, 50, 51, 52, 53, 54, 82],
+    250: [48, 49, 50, 51, 52, 53, 82],
+    260: [46, 47, 48, 49, 50, 51, 82],
+    270: [45, 46, 47, 48, 49, 50, 82],
+    280: [44, 45, 46, 47, 48, 49, 82],
+    290: [42, 43, 44, 45, 46, 47, 82],
+    300: [40, 41, 42, 43, 44, 45, 46, 82],
+    310: [38, 39, 40, 41, 42, 43, 44, 82],
+    320: [37, 38, 39, 40, 41, 42, 82],
+    330: [34, 35, 36, 37, 38, 39, 40, 82],
+    340: [32, 33, 34, 35, 36, 37, 38, 39, 82],
+    350: [31, 32, 33, 34, 35, 36, 37, 82],
+    360: [29, 30, 31, 32, 33, 34, 35, 82],
+    370: [26, 27, 28, 29, 30, 31, 32, 82],
+    380: [24, 25, 26, 27, 28, 29, 30, 31, 82],
+    390: [21, 22, 23, 24, 25, 26, 27, 28, 29, 82],
+    400: [19, 20, 21, 22, 23, 24, 25, 26, 27, 82],
+    410: [17, 18, 19, 20, 21, 22, 23, 24, 82],
+    420: [15, 16, 17, 18, 19, 20, 21, 82],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 82],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 82, 83],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 82],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 82, 83],
+    470: [2, 3, 4, 5, 6, 7, 8, 9, 82, 83],
+    480: [2, 3, 4, 5, 6, 82],
+    490: [2, 3, 4]
+  },
+  350: {
+    0: [70, 71, 72, 73, 79, 80],
+    10: [70, 71, 72, 79, 80],
+    20: [69, 70, 71, 79, 80],
+    30: [68, 69, 70, 71, 79, 80],
+    40: [68, 69, 70, 79, 80],
+    50: [67, 68, 69, 80],
+    60: [66, 67, 68, 69, 80],
+    70: [65, 66, 67, 68, 80],
+    80: [65, 66, 67, 80, 81],
+    90: [64, 65, 66, 67, 80, 81],
+    100: [63, 64, 65, 66, 80, 81],
+    110: [62, 63, 64, 65, 80, 81],
+    120: [61, 62, 63, 64, 80, 81],
+    130: [60, 61, 62, 63, 64, 80, 81],
+    140: [60, 61, 62, 63, 80, 81],
+    150: [58, 59, 60, 61, 62, 81],
+    160: [58, 59, 60, 61, 81],
+    170: [56, 57, 58, 59, 60, 81],
+    180: [56, 57, 58, 59, 81],
+    190: [54, 55, 56, 57, 58, 81],
+    200: [53, 54, 55, 56, 57, 81],
+    210: [52, 53, 54, 55, 56, 81],
+    220: [51, 52, 53, 54, 55, 81],
+    230: [50, 51, 52, 53, 54, 81],
+    240: [48, 49, 50, 51, 52, 53, 81, 82],
+    250: [47, 48, 49, 50, 51, 52, 81],
+    260: [46, 47, 48, 49, 50, 81, 82],
+    270: [44, 45, 46, 47, 48, 49, 81, 82],
+    280: [42, 43, 44, 45, 46, 47, 48, 81, 82],
+    290: [41, 42, 43, 44, 45, 46, 81, 82],
+    300: [39, 40, 41, 42, 43, 44, 81, 82],
+    310: [37, 38, 39, 40, 41, 42, 43, 81, 82],
+    320: [36, 37, 38, 39, 40, 41, 42, 81, 82],
+    330: [34, 35, 36, 37, 38, 39, 40, 82],
+    340: [32, 33, 34, 35, 36, 37, 82],
+    350: [30, 31, 32, 33, 34, 35, 36, 82],
+    360: [28, 29, 30, 31, 32, 33, 34, 82],
+    370: [26, 27, 28, 29, 30, 31, 32, 82],
+    380: [24, 25, 26, 27, 28, 29, 30, 82],
+    390: [21, 22, 23, 24, 25, 26, 27, 82],
+    400: [19, 20, 21, 22, 23, 24, 25, 82],
+    410: [16, 17, 18, 19, 20, 21, 22, 23, 24, 82],
+    420: [14, 15, 16, 17, 18, 19, 20, 21, 82],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 82],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 82],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 82],
+    460: [5, 6, 7, 8, 9, 10, 11, 82],
+    470: [3, 4, 5, 6, 7, 8, 9, 82],
+    480: [2, 3, 4, 5, 6, 82],
+    490: [3, 4]
+  },
+  360: {
+    0: [70, 71, 72, 78, 79],
+    10: [69, 70, 71, 78, 79],
+    20: [68, 69, 70, 71, 79],
+    30: [68, 69, 70, 79, 80],
+    40: [67, 68, 69, 79, 80],
+    50: [66, 67, 68, 69, 79, 80],
+    60: [65, 66, 67, 68, 79, 80],
+    70: [65, 66, 67, 79, 80],
+    80: [64, 65, 66, 67, 79, 80],
+    90: [63, 64, 65, 66, 80],
+    100: [62, 63, 64, 65, 80],
+    110: [62, 63, 64, 80],
+    120: [60, 61, 62, 63, 80],
+    130: [60, 61, 62, 63, 80],
+    140: [59, 60, 61, 62, 80, 81],
+    150: [58, 59, 60, 61, 80, 81],
+    160: [57, 58, 59, 60, 80, 81],
+    170: [56, 57, 58, 59, 80, 81],
+    180: [55, 56, 57, 58, 80, 81],
+    190: [54, 55, 56, 57, 80, 81],
+    200: [52, 53, 54, 55, 56, 80, 81],
+    210: [51, 52, 53, 54, 55, 81],
+    220: [50, 51, 52, 53, 54, 81],
+    230: [49, 50, 51, 52, 53, 81],
+    240: [48, 49, 50, 51, 52, 81],
+    250: [46, 47, 48, 49, 50, 81],
+    260: [45, 46, 47, 48, 49, 81],
+    270: [44, 45, 46, 47, 48, 81],
+    280: [42, 43, 44, 45, 46, 81],
+    290: [40, 41, 42, 43, 44, 45, 81],
+    300: [39, 40, 41, 42, 43, 44, 81],
+    310: [37, 38, 39, 40, 41, 42, 81],
+    320: [35, 36, 37, 38, 39, 40, 81],
+    330: [33, 34, 35, 36, 37, 38, 39, 81],
+    340: [32, 33, 34, 35, 36, 37, 81, 82],
+    350: [29, 30, 31, 32, 33, 34, 35, 81],
+    360: [27, 28, 29, 30, 31, 32, 33, 81, 82],
+    370: [25, 26, 27, 28, 29, 30, 31, 81, 82],
+    380: [23, 24, 25, 26, 27, 28, 29, 30, 81, 82],
+    390: [21, 22, 23, 24, 25, 26, 27, 81, 82],
+    400: [20, 21, 22, 23, 24, 25, 81, 82],
+    410: [17, 18, 19, 20, 21, 22, 81, 82],
+    420: [14, 15, 16, 17, 18, 19, 20, 82],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 82],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 82],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 82],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 82],
+    470: [3, 4, 5, 6, 7, 8, 9, 82],
+    480: [3, 4, 5, 6, 7, 82],
+    490: [3, 4]
+  },
+  370: {
+    0: [69, 70, 71, 72, 77, 78, 79],
+    10: [68, 69, 70, 71, 78, 79],
+    20: [68, 69, 70, 78, 79],
+    30: [67, 68, 69, 78, 79],
+    40: [66, 67, 68, 69, 78, 79],
+    50: [66, 67, 68, 79],
+    60: [65, 66, 67, 79],
+    70: [64, 65, 66, 67, 79, 80],
+    80: [63, 64, 65, 66, 79, 80],
+    90: [62, 63, 64, 65, 79, 80],
+    100: [61, 62, 63, 64, 79, 80],
+    110: [61, 62, 63, 79, 80],
+    120: [60, 61, 62, 63, 79, 80],
+    130: [59, 60, 61, 62, 80],
+    140: [58, 59, 60, 61, 80],
+    150: [57, 58, 59, 60, 80],
+    160: [56, 57, 58, 59, 80],
+    170: [55, 56, 57, 58, 80],
+    180: [54, 55, 56, 57, 80],
+    190: [53, 54, 55, 56, 80],
+    200: [52, 53, 54, 55, 80],
+    210: [50, 51, 52, 53, 54, 80, 81],
+    220: [49, 50, 51, 52, 53, 80, 81],
+    230: [48, 49, 50, 51, 52, 80, 81],
+    240: [46, 47, 48, 49, 50, 51, 80, 81],
+    250: [46, 47, 48, 49, 50, 80, 81],
+    260: [44, 45, 46, 47, 48, 80, 81],
+    270: [42, 43, 44, 45, 46, 47, 80, 81],
+    280: [41, 42, 43, 44, 45, 46, 81],
+    290: [39, 40, 41, 42, 43, 44, 81],
+    300: [37, 38, 39, 40, 41, 42, 43, 81],
+    310: [36, 37, 38, 39, 40, 41, 81],
+    320: [35, 36, 37, 38, 39, 81],
+    330: [32, 33, 34, 35, 36, 37, 81],
+    340: [30, 31, 32, 33, 34, 35, 36, 81],
+    350: [29, 30, 31, 32, 33, 34, 35, 81],
+    360: [27, 28, 29, 30, 31, 32, 33, 81],
+    370: [25, 26, 27, 28, 29, 30, 81],
+    380: [22, 23, 24, 25, 26, 27, 28, 81],
+    390: [20, 21, 22, 23, 24, 25, 26, 27, 81],
+    400: [18, 19, 20, 21, 22, 23, 24, 25, 81],
+    410: [16, 17, 18, 19, 20, 21, 22, 23, 81],
+    420: [14, 15, 16, 17, 18, 19, 20, 81],
+    430: [13, 14, 15, 16, 17, 18, 81],
+    440: [10, 11, 12, 13, 14, 15, 81],
+    450: [7, 8, 9, 10, 11, 12, 13, 81],
+    460: [5, 6, 7, 8, 9, 10, 81],
+    470: [3, 4, 5, 6, 7, 8, 81, 82],
+    480: [3, 4, 5, 6, 81],
+    490: [3, 4]
+  },
+  380: {
+    0: [69, 70, 71, 77, 78],
+    10: [68, 69, 70, 77, 78],
+    20: [67, 68, 69, 70, 77, 78],
+    30: [66, 67, 68, 69, 78, 79],
+    40: [66, 67, 68, 78, 79],
+    50: [65, 66, 67, 78, 79],
+    60: [64, 65, 66, 67, 78, 79],
+    70: [63, 64, 65, 66, 78, 79],
+    80: [62, 63, 64, 65, 79],
+    90: [62, 63, 64, 79],
+    100: [61, 62, 63, 64, 79],
+    110: [60, 61, 62, 63, 79],
+    120: [59, 60, 61, 62, 79, 80],
+    130: [58, 59, 60, 61, 79, 80],
+    140: [57, 58, 59, 60, 79, 80],
+    150: [56, 57, 58, 59, 79, 80],
+    160: [55, 56, 57, 58, 59, 79, 80],
+    170: [54, 55, 56, 57, 79, 80],
+    180: [53, 54, 55, 56, 57, 80],
+    190: [52, 53, 54, 55, 80],
+    200: [51, 52, 53, 54, 55, 80],
+    210: [50, 51, 52, 53, 80],
+    220: [48, 49, 50, 51, 52, 80],
+    230: [47, 48, 49, 50, 51, 80],
+    240: [46, 47, 48, 49, 50, 80],
+    250: [44, 45, 46, 47, 48, 49, 80],
+    260: [43, 44, 45, 46, 47, 48, 80],
+    270: [41, 42, 43, 44, 45, 46, 80],
+    280: [40, 41, 42, 43, 44, 45, 80, 81],
+    290: [39, 40, 41, 42, 43, 80],
+    300: [37, 38, 39, 40, 41, 42, 80, 81],
+    310: [35, 36, 37, 38, 39, 40, 80, 81],
+    320: [33, 34, 35, 36, 37, 38, 39, 80, 81],
+    330: [32, 33, 34, 35, 36, 37, 80, 81],
+    340: [30, 31, 32, 33, 34, 35, 81],
+    350: [28, 29, 30, 31, 32, 33, 80, 81],
+    360: [26, 27, 28, 29, 30, 31, 32, 81],
+    370: [24, 25, 26, 27, 28, 29, 30, 81],
+    380: [23, 24, 25, 26, 27, 28, 81],
+    390: [20, 21, 22, 23, 24, 25, 26, 81],
+    400: [18, 19, 20, 21, 22, 23, 24, 81],
+    410: [16, 17, 18, 19, 20, 21, 22, 81],
+    420: [13, 14, 15, 16, 17, 18, 19, 20, 81],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 81],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 81],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 81],
+    460: [5, 6, 7, 8, 9, 10, 11, 81],
+    470: [3, 4, 5, 6, 7, 8, 9, 81],
+    480: [3, 4, 5, 6, 7, 81],
+    490: [3, 4, 5, 81]
+  },
+  390: {
+    0: [68, 69, 70, 71, 76, 77, 78],
+    10: [67, 68, 69, 70, 77, 78],
+    20: [67, 68, 69, 77, 78],
+    30: [66, 67, 68, 77, 78],
+    40: [65, 66, 67, 77, 78],
+    50: [64, 65, 66, 67, 78],
+    60: [64, 65, 66, 78],
+    70: [63, 64, 65, 78, 79],
+    80: [62, 63, 64, 78, 79],
+    90: [61, 62, 63, 64, 78, 79],
+    100: [60, 61, 62, 63, 78, 79],
+    110: [59, 60, 61, 62, 78, 79],
+    120: [58, 59, 60, 61, 79],
+    130: [57, 58, 59, 60, 79],
+    140: [56, 57, 58, 59, 79],
+    150: [55, 56, 57, 58, 59, 79],
+    160: [54, 55, 56, 57, 58, 79],
+    170: [53, 54, 55, 56, 57, 79],
+    180: [52, 53, 54, 55, 56, 79, 80],
+    190: [51, 52, 53, 54, 55, 79, 80],
+    200: [50, 51, 52, 53, 79, 80],
+    210: [49, 50, 51, 52, 53, 79, 80],
+    220: [47, 48, 49, 50, 51, 79, 80],
+    230: [46, 47, 48, 49, 50, 80],
+    240: [45, 46, 47, 48, 49, 80],
+    250: [43, 44, 45, 46, 47, 48, 80],
+    260: [42, 43, 44, 45, 46, 47, 80],
+    270: [41, 42, 43, 44, 45, 80],
+    280: [39, 40, 41, 42, 43, 44, 80],
+    290: [38, 39, 40, 41, 42, 80],
+    300: [36, 37, 38, 39, 40, 41, 80],
+    310: [35, 36, 37, 38, 39, 80],
+    320: [33, 34, 35, 36, 37, 38, 80],
+    330: [31, 32, 33, 34, 35, 36, 80],
+    340: [30, 31, 32, 33, 34, 35, 80],
+    350: [28, 29, 30, 31, 32, 33, 80],
+    360: [26, 27, 28, 29, 30, 80],
+    370: [24, 25, 26, 27, 28, 29, 80],
+    380: [22, 23, 24, 25, 26, 27, 28, 80, 81],
+    390: [20, 21, 22, 23, 24, 25, 26, 80, 81],
+    400: [18, 19, 20, 21, 22, 23, 24, 80, 81],
+    410: [16, 17, 18, 19, 20, 21, 80, 81],
+    420: [14, 15, 16, 17, 18, 19, 80, 81],
+    430: [11, 12, 13, 14, 15, 16, 17, 80, 81],
+    440: [9, 10, 11, 12, 13, 14, 15, 81],
+    450: [7, 8, 9, 10, 11, 12, 13, 81],
+    460: [5, 6, 7, 8, 9, 10, 11, 81],
+    470: [3, 4, 5, 6, 7, 8, 9, 81],
+    480: [3, 4, 5, 6, 7, 81],
+    490: [3, 4, 5, 81],
+    500: [3]
+  },
+  400: {
+    0: [68, 69, 70, 76, 77],
+    10: [67, 68, 69, 76, 77],
+    20: [66, 67, 68, 76, 77],
+    30: [65, 66, 67, 68, 77, 78],
+    40: [64, 65, 66, 67, 77, 78],
+    50: [64, 65, 66, 77, 78],
+    60: [63, 64, 65, 77, 78],
+    70: [62, 63, 64, 65, 77, 78],
+    80: [61, 62, 63, 64, 78],
+    90: [60, 61, 62, 63, 78],
+    100: [59, 60, 61, 62, 78],
+    110: [59, 60, 61, 78, 79],
+    120: [57, 58, 59, 60, 61, 78, 79],
+    130: [57, 58, 59, 60, 78, 79],
+    140: [56, 57, 58, 59, 78, 79],
+    150: [55, 56, 57, 58, 78, 79],
+    160: [54, 55, 56, 57, 79],
+    170: [53, 54, 55, 56, 79],
+    180: [51, 52, 53, 54, 55, 79],
+    190: [50, 51, 52, 53, 54, 79],
+    200: [49, 50, 51, 52, 53, 79],
+    210: [48, 49, 50, 51, 52, 79],
+    220: [47, 48, 49, 50, 51, 79],
+    230: [45, 46, 47, 48, 49, 79, 80],
+    240: [44, 45, 46, 47, 48, 79],
+    250: [43, 44, 45, 46, 47, 79, 80],
+    260: [41, 42, 43, 44, 45, 79, 80],
+    270: [40, 41, 42, 43, 44, 79, 80],
+    280: [39, 40, 41, 42, 43, 79, 80],
+    290: [37, 38, 39, 40, 41, 79, 80],
+    300: [35, 36, 37, 38, 39, 40, 80],
+    310: [34, 35, 36, 37, 38, 39, 80],
+    320: [33, 34, 35, 36, 37, 80],
+    330: [31, 32, 33, 34, 35, 80],
+    340: [29, 30, 31, 32, 33, 34, 80],
+    350: [27, 28, 29, 30, 31, 32, 80],
+    360: [26, 27, 28, 29, 30, 31, 80],
+    370: [24, 25, 26, 27, 28, 29, 80],
+    380: [21, 22, 23, 24, 25, 26, 80],
+    390: [19, 20, 21, 22, 23, 24, 25, 80],
+    400: [17, 18, 19, 20, 21, 22, 23, 80],
+    410: [16, 17, 18, 19, 20, 21, 80],
+    420: [14, 15, 16, 17, 18, 19, 20, 80],
+    430: [12, 13, 14, 15, 16, 17, 80],
+    440: [10, 11, 12, 13, 14, 15, 80],
+    450: [8, 9, 10, 11, 12, 13, 80],
+    460: [6, 7, 8, 9, 10, 11, 80],
+    470: [3, 4, 5, 6, 7, 8, 80, 81],
+    480: [3, 4, 5, 6, 80],
+    490: [3, 4, 80]
+  },
+  410: {
+    0: [67, 68, 69, 70, 75, 76],
+    10: [66, 67, 68, 69, 75, 76, 77],
+    20: [66, 67, 68, 76, 77],
+    30: [65, 66, 67, 76, 77],
+    40: [64, 65, 66, 76, 77],
+    50: [63, 64, 65, 77],
+    60: [62, 63, 64, 65, 77, 78],
+    70: [61, 62, 63, 64, 77, 78],
+    80: [60, 61, 62, 63, 77, 78],
+    90: [60, 61, 62, 77, 78],
+    100: [59, 60, 61, 77, 78],
+    110: [58, 59, 60, 61, 78],
+    120: [57, 58, 59, 60, 78],
+    130: [56, 57, 58, 59, 78],
+    140: [55, 56, 57, 58, 78],
+    150: [54, 55, 56, 57, 78, 79],
+    160: [53, 54, 55, 56, 78, 79],
+    170: [52, 53, 54, 55, 78, 79],
+    180: [51, 52, 53, 54, 78, 79],
+    190: [50, 51, 52, 53, 78, 79],
+    200: [49, 50, 51, 52, 78, 79],
+    210: [47, 48, 49, 50, 51, 78, 79],
+    220: [46, 47, 48, 49, 50, 79],
+    230: [45, 46, 47, 48, 49, 79],
+    240: [43, 44, 45, 46, 47, 79],
+    250: [42, 43, 44, 45, 46, 79],
+    260: [41, 42, 43, 44, 45, 79],
+    270: [39, 40, 41, 42, 43, 79],
+    280: [38, 39, 40, 41, 42, 79],
+    290: [37, 38, 39, 40, 41, 79],
+    300: [35, 36, 37, 38, 39, 79],
+    310: [33, 34, 35, 36, 37, 38, 79, 80],
+    320: [32, 33, 34, 35, 36, 37, 79, 80],
+    330: [30, 31, 32, 33, 34, 35, 79, 80],
+    340: [29, 30, 31, 32, 33, 79, 80],
+    350: [27, 28, 29, 30, 31, 79, 80],
+    360: [25, 26, 27, 28, 29, 30, 79, 80],
+    370: [23, 24, 25, 26, 27, 28, 80],
+    380: [22, 23, 24, 25, 26, 27, 80],
+    390: [20, 21, 22, 23, 24, 25, 80],
+    400: [17, 18, 19, 20, 21, 22, 80],
+    410: [15, 16, 17, 18, 19, 20, 80],
+    420: [13, 14, 15, 16, 17, 18, 19, 80],
+    430: [11, 12, 13, 14, 15, 16, 17, 80],
+    440: [9, 10, 11, 12, 13, 14, 15, 80],
+    450: [8, 9, 10, 11, 12, 13, 80],
+    460: [6, 7, 8, 9, 10, 11, 12, 80],
+    470: [4, 5, 6, 7, 8, 9, 10, 80],
+    480: [4, 5, 6, 7, 80],
+    490: [4, 5, 80]
+  },
+  420: {
+    0: [67, 68, 69, 74, 75, 76],
+    10: [66, 67, 68, 75, 76],
+    20: [65, 66, 67, 75, 76],
+    30: [64, 65, 66, 67, 76, 77],
+    40: [63, 64, 65, 66, 76, 77],
+    50: [63, 64, 65, 76, 77],
+    60: [62, 63, 64, 76, 77],
+    70: [61, 62, 63, 76, 77],
+    80: [60, 61, 62, 63, 77],
+    90: [59, 60, 61, 62, 77],
+    100: [58, 59, 60, 61, 77, 78],
+    110: [57, 58, 59, 60, 77, 78],
+    120: [56, 57, 58, 59, 77, 78],
+    130: [55, 56, 57, 58, 77, 78],
+    140: [54, 55, 56, 57, 77, 78],
+    150: [53, 54, 55, 56, 78],
+    160: [52, 53, 54, 55, 78],
+    170: [51, 52, 53, 54, 55, 78],
+    180: [50, 51, 52, 53, 78],
+    190: [49, 50, 51, 52, 53, 78],
+    200: [48, 49, 50, 51, 78, 79],
+    210: [47, 48, 49, 50, 78, 79],
+    220: [45, 46, 47, 48, 49, 78, 79],
+    230: [44, 45, 46, 47, 48, 78, 79],
+    240: [43, 44, 45, 46, 47, 78, 79],
+    250: [42, 43, 44, 45, 78, 79],
+    260: [40, 41, 42, 43, 44, 78, 79],
+    270: [39, 40, 41, 42, 43, 79],
+    280: [37, 38, 39, 40, 41, 42, 79],
+    290: [36, 37, 38, 39, 40, 79],
+    300: [35, 36, 37, 38, 39, 79],
+    310: [33, 34, 35, 36, 37, 79],
+    320: [31, 32, 33, 34, 35, 79],
+    330: [30, 31, 32, 33, 34, 79],
+    340: [28, 29, 30, 31, 32, 33, 79],
+    350: [27, 28, 29, 30, 31, 79],
+    360: [25, 26, 27, 28, 29, 79],
+    370: [23, 24, 25, 26, 27, 79],
+    380: [21, 22, 23, 24, 25, 26, 79],
+    390: [19, 20, 21, 22, 23, 24, 79, 80],
+    400: [18, 19, 20, 21, 22, 23, 79],
+    410: [16, 17, 18, 19, 20, 21, 79, 80],
+    420: [14, 15, 16, 17, 18, 19, 79, 80],
+    430: [12, 13, 14, 15, 16, 17, 79, 80],
+    440: [10, 11, 12, 13, 14, 79, 80],
+    450: [8, 9, 10, 11, 12, 13, 80],
+    460: [6, 7, 8, 9, 10, 11, 80],
+    470: [4, 5, 6, 7, 8, 9, 80],
+    480: [4, 5, 6, 7, 80],
+    490: [4, 5, 6, 80],
+    500: [4]
+  },
+  430: {
+    0: [66, 67, 68, 69, 73, 74, 75],
+    10: [65, 66, 67, 68, 74, 75, 76],
+    20: [65, 66, 67, 75, 76],
+    30: [64, 65, 66, 75, 76],
+    40: [63, 64, 65, 75, 76],
+    50: [62, 63, 64, 76],
+    60: [61, 62, 63, 64, 76, 77],
+    70: [60, 61, 62, 63, 76, 77],
+    80: [59, 60, 61, 62, 76, 77],
+    90: [58, 59, 60, 61, 76, 77],
+    100: [58, 59, 60, 76, 77],
+    110: [57, 58, 59, 77],
+    120: [56, 57, 58, 59, 77],
+    130: [55, 56, 57, 58, 77],
+    140: [54, 55, 56, 57, 77, 78],
+    150: [53, 54, 55, 56, 77, 78],
+    160: [52, 53, 54, 55, 77, 78],
+    170: [51, 52, 53, 54, 77, 78],
+    180: [49, 50, 51, 52, 53, 77, 78],
+    190: [48, 49, 50, 51, 52, 78],
+    200: [47, 48, 49, 50, 51, 78],
+    210: [46, 47, 48, 49, 78],
+    220: [45, 46, 47, 48, 49, 78],
+    230: [44, 45, 46, 47, 78],
+    240: [42, 43, 44, 45, 46, 78],
+    250: [41, 42, 43, 44, 45, 78],
+    260: [40, 41, 42, 43, 44, 78],
+    270: [38, 39, 40, 41, 42, 78, 79],
+    280: [37, 38, 39, 40, 41, 78, 79],
+    290: [35, 36, 37, 38, 39, 40, 78, 79],
+    300: [34, 35, 36, 37, 38, 78, 79],
+    310: [32, 33, 34, 35, 36, 37, 78, 79],
+    320: [31, 32, 33, 34, 35, 78, 79],
+    330: [29, 30, 31, 32, 33, 34, 79],
+    340: [27, 28, 29, 30, 31, 32, 79],
+    350: [26, 27, 28, 29, 30, 31, 79],
+    360: [24, 25, 26, 27, 28, 29, 79],
+    370: [23, 24, 25, 26, 27, 28, 79],
+    380: [21, 22, 23, 24, 25, 26, 79],
+    390: [19, 20, 21, 22, 23, 79],
+    400: [17, 18, 19, 20, 21, 22, 79],
+    410: [15, 16, 17, 18, 19, 20, 21, 79],
+    420: [14, 15, 16, 17, 18, 19, 79],
+    430: [12, 13, 14, 15, 16, 17, 79],
+    440: [10, 11, 12, 13, 14, 15, 79],
+    450: [9, 10, 11, 12, 13, 79],
+    460: [7, 8, 9, 10, 11, 79],
+    470: [5, 6, 7, 8, 9, 79],
+    480: [4, 5, 6, 7],
+    490: [4, 5]
+  },
+  440: {
+    0: [66, 67, 68, 69, 73, 74, 75],
+    10: [65, 66, 67, 68, 73, 74, 75],
+    20: [64, 65, 66, 67, 74, 75],
+    30: [63, 64, 65, 66, 74, 75, 76],
+    40: [62, 63, 64, 65, 75, 76],
+    50: [61, 62, 63, 64, 75, 76],
+    60: [61, 62, 63, 75, 76],
+    70: [60, 61, 62, 75, 76],
+    80: [59, 60, 61, 76],
+    90: [58, 59, 60, 76, 77],
+    100: [57, 58, 59, 60, 76, 77],
+    110: [56, 57, 58, 59, 76, 77],
+    120: [55, 56, 57, 58, 76, 77],
+    130: [54, 55, 56, 57, 76, 77],
+    140: [53, 54, 55, 56, 77],
+    150: [52, 53, 54, 55, 77],
+    160: [51, 52, 53, 54, 77],
+    170: [50, 51, 52, 53, 77],
+    180: [49, 50, 51, 52, 77],
+    190: [48, 49, 50, 51, 77, 78],
+    200: [47, 48, 49, 50, 77, 78],
+    210: [46, 47, 48, 49, 77, 78],
+    220: [44, 45, 46, 47, 48, 77, 78],
+    230: [43, 44, 45, 46, 47, 77, 78],
+    240: [42, 43, 44, 45, 46, 78],
+    250: [40, 41, 42, 43, 44, 78],
+    260: [39, 40, 41, 42, 43, 78],
+    270: [38, 39, 40, 41, 42, 78],
+    280: [36, 37, 38, 39, 40, 78],
+    290: [35, 36, 37, 38, 39, 78],
+    300: [34, 35, 36, 37, 38, 78],
+    310: [32, 33, 34, 35, 36, 78],
+    320: [30, 31, 32, 33, 34, 35, 78],
+    330: [29, 30, 31, 32, 33, 78, 79],
+    340: [28, 29, 30, 31, 32, 78],
+    350: [26, 27, 28, 29, 30, 78, 79],
+    360: [24, 25, 26, 27, 28, 78, 79],
+    370: [22, 23, 24, 25, 26, 27, 78, 79],
+    380: [21, 22, 23, 24, 25, 26, 78, 79],
+    390: [19, 20, 21, 22, 23, 24, 79],
+    400: [18, 19, 20, 21, 22, 79],
+    410: [15, 16, 17, 18, 19, 20, 79],
+    420: [13, 14, 15, 16, 17, 18, 79],
+    430: [12, 13, 14, 15, 16, 17, 79],
+    440: [10, 11, 12, 13, 14, 15, 79],
+    450: [8, 9, 10, 11, 12, 13, 79],
+    460: [6, 7, 8, 9, 10, 11, 12, 79],
+    470: [5, 6, 7, 8, 9, 10, 79],
+    480: [5, 6, 7, 8],
+    490: [5, 6]
+  },
+  450: {
+    0: [66, 67, 68, 69, 71, 72, 73, 74],
+    10: [65, 66, 67, 73, 74, 75],
+    20: [64, 65, 66, 73, 74, 75],
+    30: [63, 64, 65, 74, 75],
+    40: [62, 63, 64, 74, 75],
+    50: [61, 62, 63, 74, 75],
+    60: [60, 61, 62, 63, 75, 76],
+    70: [59, 60, 61, 62, 75, 76],
+    80: [58, 59, 60, 61, 75, 76],
+    90: [57, 58, 59, 60, 75, 76],
+    100: [56, 57, 58, 59, 75, 76],
+    110: [56, 57, 58, 76],
+    120: [55, 56, 57, 76],
+    130: [54, 55, 56, 76, 77],
+    140: [53, 54, 55, 56, 76, 77],
+    150: [52, 53, 54, 55, 76, 77],
+    160: [51, 52, 53, 54, 76, 77],
+    170: [50, 51, 52, 53, 76, 77],
+    180: [48, 49, 50, 51, 77],
+    190: [48, 49, 50, 51, 77],
+    200: [46, 47, 48, 49, 77],
+    210: [45, 46, 47, 48, 77],
+    220: [44, 45, 46, 47, 77],
+    230: [42, 43, 44, 45, 46, 77],
+    240: [41, 42, 43, 44, 45, 77, 78],
+    250: [40, 41, 42, 43, 44, 77, 78],
+    260: [39, 40, 41, 42, 77, 78],
+    270: [38, 39, 40, 41, 77, 78],
+    280: [36, 37, 38, 39, 40, 77, 78],
+    290: [34, 35, 36, 37, 38, 77, 78],
+    300: [33, 34, 35, 36, 37, 78],
+    310: [32, 33, 34, 35, 36, 78],
+    320: [30, 31, 32, 33, 34, 78],
+    330: [28, 29, 30, 31, 32, 33, 78],
+    340: [27, 28, 29, 30, 31, 78],
+    350: [26, 27, 28, 29, 30, 78],
+    360: [24, 25, 26, 27, 28, 78],
+    370: [22, 23, 24, 25, 26, 78],
+    380: [20, 21, 22, 23, 24, 25, 78],
+    390: [19, 20, 21, 22, 23, 78],
+    400: [17, 18, 19, 20, 21, 22, 78],
+    410: [16, 17, 18, 19, 20, 78],
+    420: [14, 15, 16, 17, 18, 19, 78, 79],
+    430: [13, 14, 15, 16, 17, 78, 79],
+    440: [10, 11, 12, 13, 14, 15, 78, 79],
+    450: [8, 9, 10, 11, 12, 13, 78, 79],
+    460: [6, 7, 8, 9, 10, 11, 79],
+    470: [5, 6, 7, 8, 9, 78, 79],
+    480: [5, 6, 7, 8],
+    490: [5, 6]
+  },
+  460: {
+    0: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
+    10: [64, 65, 66, 67, 72, 73, 74],
+    20: [63, 64, 65, 66, 73, 74],
+    30: [62, 63, 64, 65, 73, 74, 75],
+    40: [62, 63, 64, 74, 75],
+    50: [61, 62, 63, 74, 75],
+    60: [60, 61, 62, 74, 75],
+    70: [59, 60, 61, 74, 75],
+    80: [58, 59, 60, 75, 76],
+    90: [57, 58, 59, 75, 76],
+    100: [56, 57, 58, 59, 75, 76],
+    110: [55, 56, 57, 58, 75, 76],
+    120: [54, 55, 56, 57, 75, 76],
+    130: [53, 54, 55, 56, 76],
+    140: [52, 53, 54, 55, 76],
+    150: [51, 52, 53, 54, 76],
+    160: [50, 51, 52, 53, 76],
+    170: [49, 50, 51, 52, 76, 77],
+    180: [48, 49, 50, 51, 76, 77],
+    190: [47, 48, 49, 50, 76, 77],
+    200: [46, 47, 48, 49, 76, 77],
+    210: [44, 45, 46, 47, 48, 76, 77],
+    220: [43, 44, 45, 46, 47, 77],
+    230: [42, 43, 44, 45, 46, 77],
+    240: [41, 42, 43, 44, 77],
+    250: [40, 41, 42, 43, 77],
+    260: [38, 39, 40, 41, 42, 77],
+    270: [37, 38, 39, 40, 77],
+    280: [36, 37, 38, 39, 77],
+    290: [34, 35, 36, 37, 38, 77],
+    300: [33, 34, 35, 36, 77, 78],
+    310: [31, 32, 33, 34, 35, 77, 78],
+    320: [30, 31, 32, 33, 34, 77, 78],
+    330: [29, 30, 31, 32, 33, 77, 78],
+    340: [27, 28, 29, 30, 31, 77, 78],
+    350: [25, 26, 27, 28, 29, 77, 78],
+    360: [24, 25, 26, 27, 28, 78],
+    370: [22, 23, 24, 25, 26, 27, 78],
+    380: [21, 22, 23, 24, 25, 78],
+    390: [19, 20, 21, 22, 23, 78],
+    400: [17, 18, 19, 20, 21, 78],
+    410: [15, 16, 17, 18, 19, 20, 78],
+    420: [14, 15, 16, 17, 18, 78],
+    430: [12, 13, 14, 15, 16, 17, 78],
+    440: [10, 11, 12, 13, 14, 15, 78],
+    450: [9, 10, 11, 12, 13, 78],
+    460: [7, 8, 9, 10, 11, 12, 78],
+    470: [6, 7, 8, 9, 10, 78],
+    480: [5, 6, 7, 8, 78],
+    490: [6, 7]
+  },
+  470: {
+    0: [65, 66, 67, 68, 69, 70, 71, 72, 73],
+    10: [64, 65, 66, 67, 71, 72, 73],
+    20: [63, 64, 65, 66, 72, 73, 74],
+    30: [62, 63, 64, 65, 72, 73, 74],
+    40: [61, 62, 63, 64, 73, 74],
+    50: [60, 61, 62, 63, 73, 74],
+    60: [59, 60, 61, 62, 74, 75],
+    70: [58, 59, 60, 61, 74, 75],
+    80: [57, 58, 59, 60, 74, 75],
+    90: [57, 58, 59, 74, 75],
+    100: [56, 57, 58, 75],
+    110: [55, 56, 57, 75],
+    120: [54, 55, 56, 75, 76],
+    130: [53, 54, 55, 75, 76],
+    140: [52, 53, 54, 75, 76],
+    150: [50, 51, 52, 53, 54, 75, 76],
+    160: [50, 51, 52, 75, 76],
+    170: [48, 49, 50, 51, 52, 76],
+    180: [47, 48, 49, 50, 76],
+    190: [46, 47, 48, 49, 76],
+    200: [45, 46, 47, 48, 76],
+    210: [44, 45, 46, 47, 76, 77],
+    220: [43, 44, 45, 46, 76, 77],
+    230: [42, 43, 44, 45, 76, 77],
+    240: [40, 41, 42, 43, 44, 76, 77],
+    250: [39, 40, 41, 42, 76, 77],
+    260: [38, 39, 40, 41, 76, 77],
+    270: [37, 38, 39, 40, 77],
+    280: [35, 36, 37, 38, 39, 77],
+    290: [34, 35, 36, 37, 38, 77],
+    300: [33, 34, 35, 36, 77],
+    310: [31, 32, 33, 34, 35, 77],
+    320: [29, 30, 31, 32, 33, 77],
+    330: [28, 29, 30, 31, 32, 77],
+    340: [27, 28, 29, 30, 31, 77],
+    350: [25, 26, 27, 28, 29, 77],
+    360: [23, 24, 25, 26, 27, 77, 78],
+    370: [22, 23, 24, 25, 26, 77, 78],
+    380: [20, 21, 22, 23, 24, 25, 77, 78],
+    390: [19, 20, 21, 22, 23, 77, 78],
+    400: [17, 18, 19, 20, 21, 22, 77, 78],
+    410: [16, 17, 18, 19, 20, 77, 78],
+    420: [14, 15, 16, 17, 18, 78],
+    430: [12, 13, 14, 15, 16, 78],
+    440: [10, 11, 12, 13, 14, 15, 78],
+    450: [9, 10, 11, 12, 13, 78],
+    460: [7, 8, 9, 10, 11, 12, 78],
+    470: [6, 7, 8, 9, 10, 78],
+    480: [6, 7, 8, 78],
+    490: [6, 7]
+  },
+  480: {
+    0: [65, 66, 67, 68, 69, 70, 71, 72],
+    10: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
+    20: [63, 64, 65, 66, 71, 72, 73],
+    30: [62, 63, 64, 72, 73],
+    40: [61, 62, 63, 72, 73, 74],
+    50: [60, 61, 62, 73, 74],
+    60: [59, 60, 61, 73, 74],
+    70: [58, 59, 60, 61, 73, 74],
+    80: [57, 58, 59, 60, 74],
+    90: [56, 57, 58, 59, 74, 75],
+    100: [55, 56, 57, 58, 74, 75],
+    110: [54, 55, 56, 57, 74, 75],
+    120: [53, 54, 55, 56, 74, 75],
+    130: [52, 53, 54, 55, 75],
+    140: [51, 52, 53, 54, 75],
+    150: [50, 51, 52, 53, 75, 76],
+    160: [49, 50, 51, 52, 75, 76],
+    170: [48, 49, 50, 51, 75, 76],
+    180: [47, 48, 49, 50, 75, 76],
+    190: [46, 47, 48, 49, 75, 76],
+    200: [45, 46, 47, 48, 75, 76],
+    210: [44, 45, 46, 47, 76],
+    220: [43, 44, 45, 46, 76],
+    230: [41, 42, 43, 44, 76],
+    240: [40, 41, 42, 43, 76],
+    250: [39, 40, 41, 42, 76],
+    260: [37, 38, 39, 40, 41, 76, 77],
+    270: [36, 37, 38, 39, 40, 76, 77],
+    280: [35, 36, 37, 38, 39, 76, 77],
+    290: [33, 34, 35, 36, 37, 76, 77],
+    300: [32, 33, 34, 35, 36, 76, 77],
+    310: [31, 32, 33, 34, 35, 76, 77],
+    320: [29, 30, 31, 32, 33, 77],
+    330: [28, 29, 30, 31, 32, 77],
+    340: [26, 27, 28, 29, 30, 77],
+    350: [25, 26, 27, 28, 29, 77],
+    360: [24, 25, 26, 27, 28, 77],
+    370: [22, 23, 24, 25, 26, 77],
+    380: [20, 21, 22, 23, 24, 77],
+    390: [18, 19, 20, 21, 22, 77],
+    400: [17, 18, 19, 20, 21, 77],
+    410: [15, 16, 17, 18, 19, 20, 77],
+    420: [14, 15, 16, 17, 18, 77],
+    430: [13, 14, 15, 16, 17, 77],
+    440: [11, 12, 13, 14, 15, 77, 78],
+    450: [9, 10, 11, 12, 13, 77, 78],
+    460: [8, 9, 10, 11, 12, 77, 78],
+    470: [6, 7, 8, 9, 10, 77, 78],
+    480: [6, 7, 8, 77],
+    490: [6]
+  },
+  490: {
+    0: [65, 66, 67, 68, 69, 70, 71, 72],
+    10: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
+    20: [62, 63, 64, 65, 66, 70, 71, 72, 73],
+    30: [61, 62, 63, 64, 71, 72, 73],
+    40: [60, 61, 62, 63, 72, 73],
+    50: [59, 60, 61, 62, 72, 73],
+    60: [59, 60, 61, 72, 73, 74],
+    70: [58, 59, 60, 73, 74],
+    80: [57, 58, 59, 73, 74],
+    90: [56, 57, 58, 73, 74],
+    100: [55, 56, 57, 73, 74],
+    110: [54, 55, 56, 74, 75],
+    120: [53, 54, 55, 74, 75],
+    130: [52, 53, 54, 74, 75],
+    140: [51, 52, 53, 74, 75],
+    150: [50, 51, 52, 53, 74, 75],
+    160: [49, 50, 51, 74, 75],
+    170: [48, 49, 50, 51, 75],
+    180: [47, 48, 49, 75],
+    190: [45, 46, 47, 48, 75],
+    200: [44, 45, 46, 47, 75, 76],
+    210: [43, 44, 45, 46, 75, 76],
+    220: [42, 43, 44, 45, 75, 76],
+    230: [41, 42, 43, 44, 75, 76],
+    240: [39, 40, 41, 42, 43, 75, 76],
+    250: [38, 39, 40, 41, 42, 76],
+    260: [37, 38, 39, 40, 41, 76],
+    270: [36, 37, 38, 39, 76],
+    280: [34, 35, 36, 37, 38, 76],
+    290: [33, 34, 35, 36, 37, 76],
+    300: [32, 33, 34, 35, 36, 76],
+    310: [30, 31, 32, 33, 34, 76],
+    320: [29, 30, 31, 32, 33, 76, 77],
+    330: [28, 29, 30, 31, 32, 76],
+    340: [26, 27, 28, 29, 30, 76, 77],
+    350: [25, 26, 27, 28, 76, 77],
+    360: [23, 24, 25, 26, 27, 76, 77],
+    370: [22, 23, 24, 25, 26, 76, 77],
+    380: [20, 21, 22, 23, 24, 77],
+    390: [19, 20, 21, 22, 23, 77],
+    400: [17, 18, 19, 20, 21, 77],
+    410: [15, 16, 17, 18, 19, 77],
+    420: [14, 15, 16, 17, 18, 77],
+    430: [12, 13, 14, 15, 16, 77],
+    440: [11, 12, 13, 14, 15, 77],
+    450: [9, 10, 11, 12, 13, 14, 77],
+    460: [8, 9, 10, 11, 12, 77],
+    470: [7, 8, 9, 10, 11, 77],
+    480: [7, 8, 9, 77],
+    490: [7, 77]
+  },
+  500: {
+    0: [64, 65, 66, 67, 68, 69, 70, 71],
+    10: [63, 64, 65, 66, 67, 68, 69, 70, 71],
+    20: [62, 63, 64, 65, 66, 69, 70, 71, 72],
+    30: [61, 62, 63, 64, 70, 71, 72],
+    40: [60, 61, 62, 63, 71, 72, 73],
+    50: [59, 60, 61, 62, 71, 72, 73],
+    60: [58, 59, 60, 61, 72, 73],
+    70: [57, 58, 59, 60, 72, 73],
+    80: [56, 57, 58, 59, 72, 73, 74],
+    90: [55, 56, 57, 58, 73, 74],
+    100: [54, 55, 56, 57, 73, 74],
+    110: [53, 54, 55, 56, 73, 74],
+    120: [52, 53, 54, 55, 73, 74],
+    130: [51, 52, 53, 54, 74],
+    140: [50, 51, 52, 53, 74],
+    150: [49, 50, 51, 52, 74, 75],
+    160: [48, 49, 50, 51, 74, 75],
+    170: [47, 48, 49, 50, 74, 75],
+    180: [46, 47, 48, 49, 74, 75],
+    190: [45, 46, 47, 48, 74, 75],
+    200: [44, 45, 46, 47, 75],
+    210: [43, 44, 45, 46, 75],
+    220: [42, 43, 44, 45, 75],
+    230: [40, 41, 42, 43, 75],
+    240: [39, 40, 41, 42, 75],
+    250: [38, 39, 40, 41, 75, 76],
+    260: [37, 38, 39, 40, 75, 76],
+    270: [36, 37, 38, 39, 75, 76],
+    280: [34, 35, 36, 37, 38, 75, 76],
+    290: [33, 34, 35, 36, 76],
+    300: [32, 33, 34, 35, 76],
+    310: [30, 31, 32, 33, 34, 76],
+    320: [29, 30, 31, 32, 76],
+    330: [27, 28, 29, 30, 31, 76],
+    340: [26, 27, 28, 29, 30, 76],
+    350: [25, 26, 27, 28, 29, 76],
+    360: [23, 24, 25, 26, 27, 76],
+    370: [21, 22, 23, 24, 25, 76],
+    380: [20, 21, 22, 23, 24, 76, 77],
+    390: [19, 20, 21, 22, 23, 76, 77],
+    400: [17, 18, 19, 20, 21, 76, 77],
+    410: [16, 17, 18, 19, 20, 76, 77],
+    420: [15, 16, 17, 18, 76, 77],
+    430: [13, 14, 15, 16, 17, 76, 77],
+    440: [11, 12, 13, 14, 15, 76, 77],
+    450: [9, 10, 11, 12, 13, 77],
+    460: [8, 9, 10, 11, 12, 77],
+    470: [7, 8, 9, 10, 77],
+    480: [7, 8, 9, 77],
+    490: [7, 77]
+  },
+  510: {
+    0: [64, 65, 66, 67, 68, 69, 70],
+    10: [63, 64, 65, 66, 67, 68, 69, 70, 71],
+    20: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
+    30: [61, 62, 63, 64, 69, 70, 71, 72],
+    40: [60, 61, 62, 63, 70, 71, 72],
+    50: [59, 60, 61, 62, 71, 72],
+    60: [58, 59, 60, 61, 71, 72, 73],
+    70: [57, 58, 59, 60, 72, 73],
+    80: [56, 57, 58, 59, 72, 73],
+    90: [55, 56, 57, 58, 72, 73],
+    100: [54, 55, 56, 57, 72, 73],
+    110: [53, 54, 55, 56, 73, 74],
+    120: [52, 53, 54, 55, 73, 74],
+    130: [51, 52, 53, 54, 73, 74],
+    140: [50, 51, 52, 53, 73, 74],
+    150: [49, 50, 51, 52, 73, 74],
+    160: [48, 49, 50, 51, 74],
+    170: [47, 48, 49, 50, 74],
+    180: [46, 47, 48, 49, 74],
+    190: [45, 46, 47, 48, 74, 75],
+    200: [44, 45, 46, 47, 74, 75],
+    210: [42, 43, 44, 45, 74, 75],
+    220: [41, 42, 43, 44, 74, 75],
+    230: [40, 41, 42, 43, 75],
+    240: [39, 40, 41, 42, 75],
+    250: [38, 39, 40, 41, 75],
+    260: [36, 37, 38, 39, 40, 75],
+    270: [35, 36, 37, 38, 75],
+    280: [34, 35, 36, 37, 75],
+    290: [33, 34, 35, 36, 75, 76],
+    300: [31, 32, 33, 34, 35, 75, 76],
+    310: [30, 31, 32, 33, 75, 76],
+    320: [29, 30, 31, 32, 75, 76],
+    330: [27, 28, 29, 30, 31, 75, 76],
+    340: [26, 27, 28, 29, 75, 76],
+    350: [24, 25, 26, 27, 28, 76],
+    360: [23, 24, 25, 26, 27, 76],
+    370: [22, 23, 24, 25, 26, 76],
+    380: [20, 21, 22, 23, 24, 76],
+    390: [19, 20, 21, 22, 23, 76],
+    400: [17, 18, 19, 20, 21, 76],
+    410: [15, 16, 17, 18, 19, 76],
+    420: [14, 15, 16, 17, 18, 76],
+    430: [13, 14, 15, 16, 17, 76],
+    440: [11, 12, 13, 14, 15, 76],
+    450: [10, 11, 12, 13, 14, 76, 77],
+    460: [9, 10, 11, 12, 76],
+    470: [7, 8, 9, 10, 11, 76, 77],
+    480: [7, 8, 9, 76, 77],
+    490: [7, 8, 76]
+  },
+  520: {
+    0: [64, 65, 66, 67, 68, 69],
+    10: [63, 64, 65, 66, 67, 68, 69, 70],
+    20: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
+    30: [61, 62, 63, 64, 68, 69, 70, 71],
+    40: [60, 61, 62, 63, 69, 70, 71],
+    50: [59, 60, 61, 70, 71, 72],
+    60: [58, 59, 60, 71, 72],
+    70: [57, 58, 59, 71, 72],
+    80: [56, 57, 58, 71, 72],
+    90: [55, 56, 57, 72, 73],
+    100: [54, 55, 56, 72, 73],
+    110: [53, 54, 55, 72, 73],
+    120: [52, 53, 54, 72, 73],
+    130: [51, 52, 53, 73],
+    140: [50, 51, 52, 73],
+    150: [48, 49, 50, 51, 73, 74],
+    160: [48, 49, 50, 73, 74],
+    170: [46, 47, 48, 49, 73, 74],
+    180: [45, 46, 47, 48, 73, 74],
+    190: [44, 45, 46, 47, 74],
+    200: [43, 44, 45, 46, 74],
+    210: [42, 43, 44, 45, 74],
+    220: [41, 42, 43, 44, 74, 75],
+    230: [40, 41, 42, 43, 74, 75],
+    240: [39, 40, 41, 42, 74, 75],
+    250: [37, 38, 39, 40, 41, 74, 75],
+    260: [36, 37, 38, 39, 74, 75],
+    270: [35, 36, 37, 38, 74, 75],
+    280: [34, 35, 36, 37, 75],
+    290: [32, 33, 34, 35, 36, 75],
+    300: [31, 32, 33, 34, 35, 75],
+    310: [30, 31, 32, 33, 75],
+    320: [28, 29, 30, 31, 32, 75],
+    330: [27, 28, 29, 30, 31, 75],
+    340: [26, 27, 28, 29, 75],
+    350: [24, 25, 26, 27, 28, 75, 76],
+    360: [23, 24, 25, 26, 27, 75, 76],
+    370: [21, 22, 23, 24, 25, 75, 76],
+    380: [20, 21, 22, 23, 24, 75, 76],
+    390: [19, 20, 21, 22, 23, 76],
+    400: [18, 19, 20, 21, 75, 76],
+    410: [16, 17, 18, 19, 20, 76],
+    420: [14, 15, 16, 17, 18, 76],
+    430: [13, 14, 15, 16, 76],
+    440: [11, 12, 13, 14, 15, 76],
+    450: [10, 11, 12, 13, 14, 76],
+    460: [8, 9, 10, 11, 12, 76],
+    470: [7, 8, 9, 10, 11, 76],
+    480: [7, 8, 9, 10, 76],
+    490: [7, 8, 76],
+    500: [7]
+  },
+  530: {
+    0: [65, 66, 67, 68],
+    10: [63, 64, 65, 66, 67, 68, 69],
+    20: [62, 63, 64, 65, 66, 67, 68, 69, 70],
+    30: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    40: [59, 60, 61, 62, 63, 68, 69, 70, 71],
+    50: [58, 59, 60, 61, 69, 70, 71],
+    60: [57, 58, 59, 60, 70, 71],
+    70: [56, 57, 58, 59, 70, 71, 72],
+    80: [55, 56, 57, 58, 71, 72],
+    90: [54, 55, 56, 57, 71, 72],
+    100: [53, 54, 55, 56, 71, 72],
+    110: [52, 53, 54, 55, 72, 73],
+    120: [51, 52, 53, 54, 72, 73],
+    130: [50, 51, 52, 53, 72, 73],
+    140: [49, 50, 51, 52, 72, 73],
+    150: [48, 49, 50, 51, 72, 73],
+    160: [47, 48, 49, 50, 73],
+    170: [46, 47, 48, 49, 73],
+    180: [45, 46, 47, 48, 73, 74],
+    190: [44, 45, 46, 47, 73, 74],
+    200: [43, 44, 45, 46, 73, 74],
+    210: [42, 43, 44, 45, 73, 74],
+    220: [41, 42, 43, 44, 74],
+    230: [39, 40, 41, 42, 43, 74],
+    240: [38, 39, 40, 41, 74],
+    250: [37, 38, 39, 40, 74],
+    260: [36, 37, 38, 39, 74],
+    270: [35, 36, 37, 38, 74, 75],
+    280: [34, 35, 36, 37, 74, 75],
+    290: [32, 33, 34, 35, 36, 74, 75],
+    300: [31, 32, 33, 34, 74, 75],
+    310: [30, 31, 32, 33, 74, 75],
+    320: [28, 29, 30, 31, 32, 75],
+    330: [27, 28, 29, 30, 75],
+    340: [25, 26, 27, 28, 29, 75],
+    350: [24, 25, 26, 27, 28, 75],
+    360: [23, 24, 25, 26, 27, 75],
+    370: [22, 23, 24, 25, 75],
+    380: [20, 21, 22, 23, 24, 75],
+    390: [19, 20, 21, 22, 75],
+    400: [17, 18, 19, 20, 21, 75],
+    410: [16, 17, 18, 19, 20, 75, 76],
+    420: [15, 16, 17, 18, 75, 76],
+    430: [13, 14, 15, 16, 17, 75, 76],
+    440: [12, 13, 14, 15, 16, 75, 76],
+    450: [10, 11, 12, 13, 14, 75, 76],
+    460: [9, 10, 11, 12, 76],
+    470: [7, 8, 9, 10, 11, 76],
+    480: [7, 8, 9, 76],
+    490: [7, 8, 76]
+  },
+  540: {
+    0: [65, 66, 67],
+    10: [63, 64, 65, 66, 67, 68],
+    20: [62, 63, 64, 65, 66, 67, 68, 69],
+    30: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    40: [59, 60, 61, 62, 63, 67, 68, 69, 70],
+    50: [58, 59, 60, 61, 68, 69, 70, 71],
+    60: [57, 58, 59, 60, 69, 70, 71],
+    70: [56, 57, 58, 59, 70, 71],
+    80: [55, 56, 57, 58, 70, 71],
+    90: [54, 55, 56, 57, 70, 71, 72],
+    100: [53, 54, 55, 56, 71, 72],
+    110: [52, 53, 54, 55, 71, 72],
+    120: [51, 52, 53, 54, 71, 72],
+    130: [50, 51, 52, 53, 72],
+    140: [49, 50, 51, 52, 72, 73],
+    150: [48, 49, 50, 51, 72, 73],
+    160: [47, 48, 49, 50, 72, 73],
+    170: [46, 47, 48, 49, 72, 73],
+    180: [45, 46, 47, 48, 73],
+    190: [44, 45, 46, 47, 73],
+    200: [43, 44, 45, 73],
+    210: [41, 42, 43, 44, 73, 74],
+    220: [40, 41, 42, 43, 73, 74],
+    230: [39, 40, 41, 42, 73, 74],
+    240: [38, 39, 40, 41, 73, 74],
+    250: [37, 38, 39, 40, 73, 74],
+    260: [36, 37, 38, 39, 73, 74],
+    270: [34, 35, 36, 37, 38, 74],
+    280: [33, 34, 35, 36, 74],
+    290: [32, 33, 34, 35, 74],
+    300: [31, 32, 33, 34, 74],
+    310: [29, 30, 31, 32, 33, 74],
+    320: [28, 29, 30, 31, 74, 75],
+    330: [27, 28, 29, 30, 74, 75],
+    340: [26, 27, 28, 29, 74, 75],
+    350: [24, 25, 26, 27, 28, 74, 75],
+    360: [23, 24, 25, 26, 74, 75],
+    370: [21, 22, 23, 24, 25, 74, 75],
+    380: [20, 21, 22, 23, 24, 75],
+    390: [19, 20, 21, 22, 23, 75],
+    400: [17, 18, 19, 20, 21, 75],
+    410: [16, 17, 18, 19, 20, 75],
+    420: [14, 15, 16, 17, 18, 75],
+    430: [13, 14, 15, 16, 17, 75],
+    440: [12, 13, 14, 15, 75],
+    450: [10, 11, 12, 13, 14, 75],
+    460: [9, 10, 11, 12, 13, 75],
+    470: [8, 9, 10, 11, 75],
+    480: [8, 9, 10, 75, 76],
+    490: [8, 9]
+  },
+  550: {
+    10: [63, 64, 65, 66, 67],
+    20: [62, 63, 64, 65, 66, 67, 68],
+    30: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
+    40: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    50: [58, 59, 60, 61, 68, 69, 70],
+    60: [57, 58, 59, 60, 68, 69, 70],
+    70: [56, 57, 58, 59, 69, 70, 71],
+    80: [55, 56, 57, 58, 69, 70, 71],
+    90: [54, 55, 56, 70, 71],
+    100: [53, 54, 55, 70, 71],
+    110: [52, 53, 54, 70, 71, 72],
+    120: [51, 52, 53, 71, 72],
+    130: [50, 51, 52, 71, 72],
+    140: [49, 50, 51, 71, 72],
+    150: [48, 49, 50, 71, 72],
+    160: [47, 48, 49, 72],
+    170: [46, 47, 48, 72, 73],
+    180: [44, 45, 46, 47, 72, 73],
+    190: [44, 45, 46, 72, 73],
+    200: [42, 43, 44, 45, 72, 73],
+    210: [41, 42, 43, 44, 72, 73],
+    220: [40, 41, 42, 43, 73],
+    230: [39, 40, 41, 42, 73],
+    240: [38, 39, 40, 41, 73],
+    250: [37, 38, 39, 40, 73, 74],
+    260: [35, 36, 37, 38, 39, 73, 74],
+    270: [34, 35, 36, 37, 73, 74],
+    280: [33, 34, 35, 36, 73, 74],
+    290: [32, 33, 34, 35, 73, 74],
+    300: [31, 32, 33, 34, 73, 74],
+    310: [30, 31, 32, 33, 74],
+    320: [28, 29, 30, 31, 74],
+    330: [27, 28, 29, 30, 74],
+    340: [25, 26, 27, 28, 29, 74],
+    350: [24, 25, 26, 27, 28, 74],
+    360: [23, 24, 25, 26, 74],
+    370: [21, 22, 23, 24, 25, 74, 75],
+    380: [20, 21, 22, 23, 74, 75],
+    390: [19, 20, 21, 22, 74, 75],
+    400: [17, 18, 19, 20, 21, 74, 75],
+    410: [16, 17, 18, 19, 20, 74, 75],
+    420: [15, 16, 17, 18, 75],
+    430: [14, 15, 16, 17, 75],
+    440: [12, 13, 14, 15, 16, 75],
+    450: [10, 11, 12, 13, 14, 75],
+    460: [9, 10, 11, 12, 75],
+    470: [8, 9, 10, 11, 75],
+    480: [8, 9, 10, 75],
+    490: [8, 9]
+  },
+  560: {
+    10: [63, 64, 65, 66],
+    20: [62, 63, 64, 65, 66, 67, 68],
+    30: [60, 61, 62, 63, 64, 65, 66, 67, 68],
+    40: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
+    50: [58, 59, 60, 61, 62, 67, 68, 69],
+    60: [57, 58, 59, 60, 68, 69, 70],
+    70: [56, 57, 58, 59, 68, 69, 70],
+    80: [55, 56, 57, 69, 70],
+    90: [54, 55, 56, 69, 70, 71],
+    100: [53, 54, 55, 70, 71],
+    110: [52, 53, 54, 70, 71],
+    120: [51, 52, 53, 70, 71],
+    130: [49, 50, 51, 52, 70, 71],
+    140: [49, 50, 51, 71, 72],
+    150: [47, 48, 49, 50, 71, 72],
+    160: [46, 47, 48, 49, 71, 72],
+    170: [45, 46, 47, 48, 71, 72],
+    180: [44, 45, 46, 47, 71, 72],
+    190: [43, 44, 45, 46, 72],
+    200: [42, 43, 44, 45, 72, 73],
+    210: [41, 42, 43, 44, 72, 73],
+    220: [40, 41, 42, 43, 72, 73],
+    230: [39, 40, 41, 42, 72, 73],
+    240: [38, 39, 40, 41, 72, 73],
+    250: [37, 38, 39, 72, 73],
+    260: [35, 36, 37, 38, 73],
+    270: [34, 35, 36, 37, 73],
+    280: [33, 34, 35, 36, 73],
+    290: [32, 33, 34, 35, 73],
+    300: [30, 31, 32, 33, 34, 73, 74],
+    310: [29, 30, 31, 32, 73, 74],
+    320: [28, 29, 30, 31, 73, 74],
+    330: [27, 28, 29, 30, 73, 74],
+    340: [25, 26, 27, 28, 29, 73, 74],
+    350: [24, 25, 26, 27, 74],
+    360: [23, 24, 25, 26, 74],
+    370: [22, 23, 24, 25, 74],
+    380: [21, 22, 23, 24, 74],
+    390: [19, 20, 21, 22, 74],
+    400: [17, 18, 19, 20, 21, 74],
+    410: [16, 17, 18, 19, 74],
+    420: [15, 16, 17, 18, 74],
+    430: [14, 15, 16, 17, 74],
+    440: [12, 13, 14, 15, 16, 74, 75],
+    450: [11, 12, 13, 14, 15, 74, 75],
+    460: [10, 11, 12, 13, 74, 75],
+    470: [9, 10, 11, 12, 74, 75],
+    480: [8, 9, 10, 74],
+    490: [8, 9]
+  },
+  570: {
+    20: [62, 63, 64, 65, 66, 67],
+    30: [60, 61, 62, 63, 64, 65, 66, 67],
+    40: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    50: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
+    60: [57, 58, 59, 60, 67, 68, 69],
+    70: [55, 56, 57, 58, 59, 68, 69],
+    80: [54, 55, 56, 57, 68, 69, 70],
+    90: [53, 54, 55, 56, 69, 70],
+    100: [52, 53, 54, 55, 69, 70],
+    110: [51, 52, 53, 54, 69, 70, 71],
+    120: [50, 51, 52, 53, 70, 71],
+    130: [49, 50, 51, 52, 70, 71],
+    140: [48, 49, 50, 51, 70, 71],
+    150: [47, 48, 49, 50, 70, 71],
+    160: [46, 47, 48, 49, 71],
+    170: [45, 46, 47, 48, 71, 72],
+    180: [44, 45, 46, 47, 71, 72],
+    190: [43, 44, 45, 46, 71, 72],
+    200: [42, 43, 44, 45, 71, 72],
+    210: [41, 42, 43, 44, 71, 72],
+    220: [40, 41, 42, 43, 72],
+    230: [39, 40, 41, 72],
+    240: [38, 39, 40, 72, 73],
+    250: [36, 37, 38, 39, 72, 73],
+    260: [35, 36, 37, 38, 72, 73],
+    270: [34, 35, 36, 37, 72, 73],
+    280: [33, 34, 35, 36, 72, 73],
+    290: [32, 33, 34, 35, 73],
+    300: [31, 32, 33, 73],
+    310: [29, 30, 31, 32, 73],
+    320: [28, 29, 30, 31, 73],
+    330: [27, 28, 29, 30, 73],
+    340: [26, 27, 28, 29, 73, 74],
+    350: [24, 25, 26, 27, 28, 73],
+    360: [23, 24, 25, 26, 73, 74],
+    370: [21, 22, 23, 24, 25, 73, 74],
+    380: [20, 21, 22, 23, 73, 74],
+    390: [19, 20, 21, 22, 73, 74],
+    400: [18, 19, 20, 21, 74],
+    410: [17, 18, 19, 20, 74],
+    420: [15, 16, 17, 18, 19, 74],
+    430: [14, 15, 16, 17, 74],
+    440: [12, 13, 14, 15, 16, 74],
+    450: [11, 12, 13, 14, 74],
+    460: [10, 11, 12, 13, 74],
+    470: [9, 10, 11, 12, 74],
+    480: [9, 10, 11, 74],
+    490: [9]
+  },
+  580: {
+    20: [62, 63, 64, 65],
+    30: [60, 61, 62, 63, 64, 65, 66, 67],
+    40: [59, 60, 61, 62, 63, 64, 65, 66, 67],
+    50: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    60: [57, 58, 59, 60, 61, 65, 66, 67, 68],
+    70: [55, 56, 57, 58, 59, 67, 68, 69],
+    80: [54, 55, 56, 57, 67, 68, 69],
+    90: [53, 54, 55, 56, 68, 69],
+    100: [52, 53, 54, 55, 68, 69, 70],
+    110: [51, 52, 53, 54, 69, 70],
+    120: [50, 51, 52, 53, 69, 70],
+    130: [49, 50, 51, 52, 69, 70],
+    140: [48, 49, 50, 51, 70, 71],
+    150: [47, 48, 49, 50, 70, 71],
+    160: [46, 47, 48, 49, 70, 71],
+    170: [45, 46, 47, 48, 70, 71],
+    180: [44, 45, 46, 47, 71],
+    190: [43, 44, 45, 46, 71],
+    200: [42, 43, 44, 71, 72],
+    210: [41, 42, 43, 71, 72],
+    220: [40, 41, 42, 71, 72],
+    230: [38, 39, 40, 41, 71, 72],
+    240: [37, 38, 39, 40, 71, 72],
+    250: [36, 37, 38, 39, 72],
+    260: [35, 36, 37, 38, 72],
+    270: [34, 35, 36, 37, 72],
+    280: [33, 34, 35, 36, 72],
+    290: [31, 32, 33, 34, 35, 72, 73],
+    300: [30, 31, 32, 33, 72, 73],
+    310: [29, 30, 31, 32, 72, 73],
+    320: [28, 29, 30, 31, 72, 73],
+    330: [27, 28, 29, 30, 73],
+    340: [25, 26, 27, 28, 29, 73],
+    350: [24, 25, 26, 27, 73],
+    360: [23, 24, 25, 26, 73],
+    370: [22, 23, 24, 25, 73],
+    380: [20, 21, 22, 23, 24, 73],
+    390: [19, 20, 21, 22, 73],
+    400: [18, 19, 20, 21, 73, 74],
+    410: [16, 17, 18, 19, 20, 73, 74],
+    420: [15, 16, 17, 18, 19, 73, 74],
+    430: [14, 15, 16, 17, 73, 74],
+    440: [13, 14, 15, 16, 73, 74],
+    450: [12, 13, 14, 15, 74],
+    460: [10, 11, 12, 13, 14, 74],
+    470: [9, 10, 11, 12, 74],
+    480: [9, 10, 11, 74],
+    490: [9]
+  },
+  590: {
+    30: [61, 62, 63, 64, 65, 66],
+    40: [59, 60, 61, 62, 63, 64, 65, 66],
+    50: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    60: [56, 57, 58, 59, 60, 61, 62, 64, 65, 66, 67, 68],
+    70: [55, 56, 57, 58, 59, 66, 67, 68],
+    80: [54, 55, 56, 57, 67, 68, 69],
+    90: [53, 54, 55, 56, 67, 68, 69],
+    100: [52, 53, 54, 55, 68, 69],
+    110: [51, 52, 53, 54, 68, 69],
+    120: [50, 51, 52, 53, 68, 69, 70],
+    130: [49, 50, 51, 52, 69, 70],
+    140: [48, 49, 50, 51, 69, 70],
+    150: [47, 48, 49, 50, 69, 70],
+    160: [46, 47, 48, 70],
+    170: [45, 46, 47, 70, 71],
+    180: [44, 45, 46, 70, 71],
+    190: [43, 44, 45, 70, 71],
+    200: [41, 42, 43, 44, 70, 71],
+    210: [41, 42, 43, 71],
+    220: [39, 40, 41, 42, 71],
+    230: [38, 39, 40, 41, 71, 72],
+    240: [37, 38, 39, 40, 71, 72],
+    250: [36, 37, 38, 39, 71, 72],
+    260: [35, 36, 37, 38, 71, 72],
+    270: [34, 35, 36, 37, 71, 72],
+    280: [32, 33, 34, 35, 36, 72],
+    290: [31, 32, 33, 34, 72],
+    300: [31, 32, 33, 72],
+    310: [29, 30, 31, 32, 72],
+    320: [28, 29, 30, 31, 72],
+    330: [27, 28, 29, 30, 72, 73],
+    340: [26, 27, 28, 29, 72, 73],
+    350: [24, 25, 26, 27, 72, 73],
+    360: [23, 24, 25, 26, 72, 73],
+    370: [22, 23, 24, 25, 73],
+    380: [20, 21, 22, 23, 24, 73],
+    390: [19, 20, 21, 22, 73],
+    400: [18, 19, 20, 21, 73],
+    410: [17, 18, 19, 20, 73],
+    420: [15, 16, 17, 18, 19, 73],
+    430: [14, 15, 16, 17, 73],
+    440: [13, 14, 15, 16, 73],
+    450: [12, 13, 14, 15, 73, 74],
+    460: [10, 11, 12, 13, 14, 73],
+    470: [10, 11, 12, 73, 74],
+    480: [10, 11, 73, 74],
+    490: [10, 73]
+  },
+  600: {
+    30: [61, 62, 63, 64],
+    40: [59, 60, 61, 62, 63, 64, 65, 66],
+    50: [58, 59, 60, 61, 62, 63, 64, 65, 66],
+    60: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    70: [55, 56, 57, 58, 59, 64, 65, 66, 67],
+    80: [54, 55, 56, 57, 58, 66, 67, 68],
+    90: [53, 54, 55, 56, 66, 67, 68],
+    100: [52, 53, 54, 55, 67, 68, 69],
+    110: [51, 52, 53, 54, 67, 68, 69],
+    120: [50, 51, 52, 53, 68, 69],
+    130: [49, 50, 51, 68, 69],
+    140: [48, 49, 50, 68, 69, 70],
+    150: [47, 48, 49, 69, 70],
+    160: [46, 47, 48, 69, 70],
+    170: [45, 46, 47, 69, 70],
+    180: [44, 45, 46, 69, 70],
+    190: [42, 43, 44, 45, 70],
+    200: [41, 42, 43, 44, 70, 71],
+    210: [40, 41, 42, 43, 70, 71],
+    220: [39, 40, 41, 42, 70, 71],
+    230: [38, 39, 40, 41, 70, 71],
+    240: [37, 38, 39, 40, 71],
+    250: [36, 37, 38, 39, 71],
+    260: [35, 36, 37, 38, 71],
+    270: [34, 35, 36, 37, 71],
+    280: [33, 34, 35, 71, 72],
+    290: [31, 32, 33, 34, 71, 72],
+    300: [30, 31, 32, 33, 71, 72],
+    310: [29, 30, 31, 32, 71, 72],
+    320: [28, 29, 30, 31, 72],
+    330: [27, 28, 29, 30, 72],
+    340: [25, 26, 27, 28, 72],
+    350: [24, 25, 26, 27, 72],
+    360: [23, 24, 25, 26, 72],
+    370: [22, 23, 24, 25, 72, 73],
+    380: [20, 21, 22, 23, 24, 72],
+    390: [19, 20, 21, 22, 72, 73],
+    400: [18, 19, 20, 21, 72, 73],
+    410: [17, 18, 19, 20, 72, 73],
+    420: [16, 17, 18, 19, 73],
+    430: [15, 16, 17, 18, 73],
+    440: [13, 14, 15, 16, 73],
+    450: [12, 13, 14, 15, 73],
+    460: [10, 11, 12, 13, 14, 73],
+    470: [10, 11, 12, 73],
+    480: [10, 11, 73],
+    490: [10, 73]
+  },
+  610: {
+    40: [60, 61, 62, 63, 64, 65],
+    50: [58, 59, 60, 61, 62, 63, 64, 65, 66],
+    60: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    70: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    80: [54, 55, 56, 57, 58, 65, 66, 67],
+    90: [53, 54, 55, 56, 65, 66, 67, 68],
+    100: [52, 53, 54, 55, 66, 67, 68],
+    110: [51, 52, 53, 54, 67, 68],
+    120: [50, 51, 52, 53, 67, 68, 69],
+    130: [49, 50, 51, 68, 69],
+    140: [48, 49, 50, 68, 69],
+    150: [47, 48, 49, 68, 69],
+    160: [45, 46, 47, 48, 68, 69],
+    170: [44, 45, 46, 47, 69, 70],
+    180: [43, 44, 45, 46, 69, 70],
+    190: [42, 43, 44, 45, 69, 70],
+    200: [41, 42, 43, 44, 69, 70],
+    210: [40, 41, 42, 43, 70],
+    220: [39, 40, 41, 42, 70],
+    230: [38, 39, 40, 41, 70, 71],
+    240: [37, 38, 39, 40, 70, 71],
+    250: [36, 37, 38, 39, 70, 71],
+    260: [35, 36, 37, 70, 71],
+    270: [34, 35, 36, 70, 71],
+    280: [32, 33, 34, 35, 71],
+    290: [31, 32, 33, 34, 71],
+    300: [30, 31, 32, 33, 71],
+    310: [29, 30, 31, 32, 71, 72],
+    320: [28, 29, 30, 31, 71, 72],
+    330: [27, 28, 29, 30, 71, 72],
+    340: [26, 27, 28, 29, 71, 72],
+    350: [24, 25, 26, 27, 71, 72],
+    360: [23, 24, 25, 26, 72],
+    370: [22, 23, 24, 25, 72],
+    380: [21, 22, 23, 24, 72],
+    390: [20, 21, 22, 23, 72],
+    400: [18, 19, 20, 21, 72],
+    410: [17, 18, 19, 20, 72],
+    420: [16, 17, 18, 19, 72],
+    430: [14, 15, 16, 17, 72, 73],
+    440: [13, 14, 15, 16, 72, 73],
+    450: [12, 13, 14, 15, 72, 73],
+    460: [11, 12, 13, 14, 73],
+    470: [10, 11, 12, 13, 72, 73],
+    480: [10, 11, 12, 73],
+    490: [10, 11, 73]
+  },
+  620: {
+    40: [60, 61, 62, 63],
+    50: [58, 59, 60, 61, 62, 63, 64, 65],
+    60: [57, 58, 59, 60, 61, 62, 63, 64, 65],
+    70: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    80: [54, 55, 56, 57, 58, 59, 63, 64, 65, 66, 67],
+    90: [53, 54, 55, 56, 57, 65, 66, 67],
+    100: [52, 53, 54, 55, 65, 66, 67],
+    110: [51, 52, 53, 54, 66, 67, 68],
+    120: [50, 51, 52, 53, 66, 67, 68],
+    130: [49, 50, 51, 67, 68],
+    140: [48, 49, 50, 67, 68, 69],
+    150: [46, 47, 48, 49, 68, 69],
+    160: [45, 46, 47, 48, 68, 69],
+    170: [44, 45, 46, 47, 68, 69],
+    180: [43, 44, 45, 46, 68, 69],
+    190: [42, 43, 44, 45, 69, 70],
+    200: [41, 42, 43, 44, 69, 70],
+    210: [40, 41, 42, 43, 69, 70],
+    220: [39, 40, 41, 42, 69, 70],
+    230: [38, 39, 40, 41, 69, 70],
+    240: [37, 38, 39, 40, 70],
+    250: [36, 37, 38, 70],
+    260: [35, 36, 37, 70],
+    270: [34, 35, 36, 70, 71],
+    280: [33, 34, 35, 70, 71],
+    290: [31, 32, 33, 34, 70, 71],
+    300: [30, 31, 32, 33, 70, 71],
+    310: [29, 30, 31, 32, 71],
+    320: [28, 29, 30, 31, 71],
+    330: [27, 28, 29, 30, 71],
+    340: [25, 26, 27, 28, 71],
+    350: [25, 26, 27, 71],
+    360: [23, 24, 25, 26, 71, 72],
+    370: [22, 23, 24, 25, 71, 72],
+    380: [21, 22, 23, 24, 71, 72],
+    390: [20, 21, 22, 71, 72],
+    400: [18, 19, 20, 21, 72],
+    410: [17, 18, 19, 20, 72],
+    420: [16, 17, 18, 19, 72],
+    430: [15, 16, 17, 18, 72],
+    440: [13, 14, 15, 16, 17, 72],
+    450: [12, 13, 14, 15, 72],
+    460: [11, 12, 13, 14, 72],
+    470: [10, 11, 12, 13, 72],
+    480: [10, 11, 12, 72, 73],
+    490: [10, 11],
+    500: [10]
+  },
+  630: {
+    50: [59, 60, 61, 62, 63, 64],
+    60: [57, 58, 59, 60, 61, 62, 63, 64, 65],
+    70: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    80: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    90: [53, 54, 55, 56, 57, 64, 65, 66],
+    100: [52, 53, 54, 55, 64, 65, 66, 67],
+    110: [51, 52, 53, 54, 65, 66, 67],
+    120: [50, 51, 52, 53, 66, 67],
+    130: [49, 50, 51, 66, 67, 68],
+    140: [47, 48, 49, 50, 67, 68],
+    150: [47, 48, 49, 67, 68],
+    160: [45, 46, 47, 48, 67, 68],
+    170: [44, 45, 46, 47, 68, 69],
+    180: [43, 44, 45, 46, 68, 69],
+    190: [42, 43, 44, 45, 68, 69],
+    200: [41, 42, 43, 44, 68, 69],
+    210: [40, 41, 42, 43, 68, 69],
+    220: [39, 40, 41, 42, 69, 70],
+    230: [38, 39, 40, 41, 69, 70],
+    240: [37, 38, 39, 69, 70],
+    250: [36, 37, 38, 39, 69, 70],
+    260: [35, 36, 37, 69, 70],
+    270: [33, 34, 35, 36, 70],
+    280: [32, 33, 34, 35, 70],
+    290: [31, 32, 33, 34, 70],
+    300: [30, 31, 32, 33, 70, 71],
+    310: [29, 30, 31, 32, 70, 71],
+    320: [28, 29, 30, 31, 70, 71],
+    330: [27, 28, 29, 30, 70, 71],
+    340: [26, 27, 28, 29, 70, 71],
+    350: [24, 25, 26, 27, 71],
+    360: [23, 24, 25, 26, 71],
+    370: [22, 23, 24, 25, 71],
+    380: [21, 22, 23, 24, 71],
+    390: [20, 21, 22, 23, 71],
+    400: [18, 19, 20, 21, 22, 71, 72],
+    410: [17, 18, 19, 20, 71, 72],
+    420: [16, 17, 18, 19, 71, 72],
+    430: [15, 16, 17, 18, 71, 72],
+    440: [14, 15, 16, 17, 71, 72],
+    450: [13, 14, 15, 16, 72],
+    460: [12, 13, 14, 15, 72],
+    470: [10, 11, 12, 13, 72],
+    480: [10, 11, 12, 72],
+    490: [10, 11]
+  },
+  640: {
+    50: [59, 60, 61, 62],
+    60: [57, 58, 59, 60, 61, 62, 63, 64],
+    70: [56, 57, 58, 59, 60, 61, 62, 63, 64],
+    80: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    90: [53, 54, 55, 56, 57, 58, 62, 63, 64, 65, 66],
+    100: [52, 53, 54, 55, 56, 63, 64, 65, 66],
+    110: [51, 52, 53, 54, 64, 65, 66],
+    120: [50, 51, 52, 53, 65, 66, 67],
+    130: [49, 50, 51, 65, 66, 67],
+    140: [47, 48, 49, 50, 66, 67],
+    150: [46, 47, 48, 49, 66, 67, 68],
+    160: [45, 46, 47, 48, 67, 68],
+    170: [44, 45, 46, 47, 67, 68],
+    180: [43, 44, 45, 46, 67, 68],
+    190: [42, 43, 44, 45, 67, 68, 69],
+    200: [41, 42, 43, 44, 68, 69],
+    210: [40, 41, 42, 43, 68, 69],
+    220: [39, 40, 41, 42, 68, 69],
+    230: [38, 39, 40, 68, 69],
+    240: [37, 38, 39, 40, 69],
+    250: [36, 37, 38, 69],
+    260: [35, 36, 37, 69, 70],
+    270: [34, 35, 36, 69, 70],
+    280: [32, 33, 34, 35, 69, 70],
+    290: [31, 32, 33, 34, 69, 70],
+    300: [30, 31, 32, 33, 70],
+    310: [29, 30, 31, 32, 70],
+    320: [28, 29, 30, 31, 70],
+    330: [27, 28, 29, 30, 70],
+    340: [26, 27, 28, 70, 71],
+    350: [25, 26, 27, 70, 71],
+    360: [23, 24, 25, 26, 70, 71],
+    370: [22, 23, 24, 25, 70, 71],
+    380: [21, 22, 23, 24, 70, 71],
+    390: [20, 21, 22, 23, 71],
+    400: [19, 20, 21, 22, 71],
+    410: [18, 19, 20, 21, 71],
+    420: [16, 17, 18, 19, 71],
+    430: [15, 16, 17, 18, 71],
+    440: [14, 15, 16, 17, 71, 72],
+    450: [13, 14, 15, 16, 71],
+    460: [12, 13, 14, 15, 71, 72],
+    470: [11, 12, 13, 71, 72],
+    480: [11, 12, 71],
+    490: [11]
+  },
+  650: {
+    60: [58, 59, 60, 61, 62],
+    70: [56, 57, 58, 59, 60, 61, 62, 63, 64],
+    80: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    90: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    100: [52, 53, 54, 55, 56, 62, 63, 64, 65],
+    110: [51, 52, 53, 54, 63, 64, 65, 66],
+    120: [50, 51, 52, 53, 64, 65, 66],
+    130: [48, 49, 50, 51, 52, 65, 66, 67],
+    140: [47, 48, 49, 50, 65, 66, 67],
+    150: [46, 47, 48, 49, 66, 67],
+    160: [45, 46, 47, 48, 66, 67],
+    170: [44, 45, 46, 47, 66, 67, 68],
+    180: [43, 44, 45, 46, 67, 68],
+    190: [42, 43, 44, 45, 67, 68],
+    200: [41, 42, 43, 44, 67, 68],
+    210: [40, 41, 42, 43, 67, 68],
+    220: [39, 40, 41, 68, 69],
+    230: [38, 39, 40, 41, 68, 69],
+    240: [37, 38, 39, 68, 69],
+    250: [36, 37, 38, 68, 69],
+    260: [35, 36, 37, 68, 69],
+    270: [33, 34, 35, 36, 69],
+    280: [32, 33, 34, 35, 69],
+    290: [32, 33, 34, 69, 70],
+    300: [30, 31, 32, 33, 69, 70],
+    310: [29, 30, 31, 32, 69, 70],
+    320: [28, 29, 30, 31, 69, 70],
+    330: [27, 28, 29, 30, 69, 70],
+    340: [26, 27, 28, 29, 70],
+    350: [25, 26, 27, 28, 70],
+    360: [24, 25, 26, 70],
+    370: [23, 24, 25, 70],
+    380: [21, 22, 23, 24, 70, 71],
+    390: [20, 21, 22, 23, 70, 71],
+    400: [19, 20, 21, 22, 70, 71],
+    410: [18, 19, 20, 70, 71],
+    420: [17, 18, 19, 70, 71],
+    430: [16, 17, 18, 71],
+    440: [15, 16, 17, 71],
+    450: [13, 14, 15, 16, 71],
+    460: [12, 13, 14, 15, 71],
+    470: [11, 12, 13, 14, 71],
+    480: [11, 12, 13, 71],
+    490: [11, 71]
+  },
+  660: {
+    60: [59, 60, 61],
+    70: [56, 57, 58, 59, 60, 61, 62, 63],
+    80: [55, 56, 57, 58, 59, 60, 61, 62, 63],
+    90: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    100: [52, 53, 54, 55, 56, 57, 60, 61, 62, 63, 64, 65],
+    110: [51, 52, 53, 54, 55, 62, 63, 64, 65],
+    120: [50, 51, 52, 53, 63, 64, 65],
+    130: [49, 50, 51, 52, 64, 65, 66],
+    140: [47, 48, 49, 50, 51, 64, 65, 66],
+    150: [46, 47, 48, 49, 65, 66],
+    160: [45, 46, 47, 48, 65, 66, 67],
+    170: [44, 45, 46, 47, 66, 67],
+    180: [43, 44, 45, 46, 66, 67],
+    190: [42, 43, 44, 45, 66, 67],
+    200: [41, 42, 43, 44, 67, 68],
+    210: [40, 41, 42, 43, 67, 68],
+    220: [39, 40, 41, 42, 67, 68],
+    230: [38, 39, 40, 67, 68],
+    240: [37, 38, 39, 68],
+    250: [36, 37, 38, 68, 69],
+    260: [35, 36, 37, 68, 69],
+    270: [34, 35, 36, 68, 69],
+    280: [32, 33, 34, 35, 68, 69],
+    290: [31, 32, 33, 34, 68, 69],
+    300: [30, 31, 32, 33, 69],
+    310: [29, 30, 31, 32, 69],
+    320: [28, 29, 30, 31, 69],
+    330: [27, 28, 29, 30, 69, 70],
+    340: [26, 27, 28, 69, 70],
+    350: [25, 26, 27, 69, 70],
+    360: [24, 25, 26, 27, 69, 70],
+    370: [22, 23, 24, 25, 69, 70],
+    380: [21, 22, 23, 24, 70],
+    390: [20, 21, 22, 23, 70],
+    400: [19, 20, 21, 22, 70],
+    410: [18, 19, 20, 21, 70],
+    420: [17, 18, 19, 20, 70],
+    430: [16, 17, 18, 19, 70, 71],
+    440: [14, 15, 16, 17, 70, 71],
+    450: [13, 14, 15, 16, 70, 71],
+    460: [12, 13, 14, 15, 70, 71],
+    470: [12, 13, 14, 70, 71],
+    480: [12, 13, 71],
+    490: [12, 71]
+  },
+  670: {
+    70: [57, 58, 59, 60, 61],
+    80: [55, 56, 57, 58, 59, 60, 61, 62],
+    90: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    100: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    110: [51, 52, 53, 54, 55, 61, 62, 63, 64],
+    120: [50, 51, 52, 53, 54, 62, 63, 64, 65],
+    130: [49, 50, 51, 52, 63, 64, 65],
+    140: [48, 49, 50, 51, 64, 65, 66],
+    150: [46, 47, 48, 49, 64, 65, 66],
+    160: [45, 46, 47, 48, 65, 66],
+    170: [44, 45, 46, 47, 65, 66],
+    180: [43, 44, 45, 46, 65, 66, 67],
+    190: [42, 43, 44, 45, 66, 67],
+    200: [41, 42, 43, 44, 66, 67],
+    210: [40, 41, 42, 43, 66, 67],
+    220: [39, 40, 41, 42, 67, 68],
+    230: [38, 39, 40, 41, 67, 68],
+    240: [37, 38, 39, 67, 68],
+    250: [36, 37, 38, 67, 68],
+    260: [35, 36, 37, 67, 68],
+    270: [33, 34, 35, 36, 68],
+    280: [32, 33, 34, 35, 68, 69],
+    290: [32, 33, 34, 68, 69],
+    300: [30, 31, 32, 33, 68, 69],
+    310: [29, 30, 31, 32, 68, 69],
+    320: [28, 29, 30, 31, 68, 69],
+    330: [27, 28, 29, 30, 69],
+    340: [26, 27, 28, 29, 69],
+    350: [25, 26, 27, 28, 69],
+    360: [24, 25, 26, 69],
+    370: [23, 24, 25, 69, 70],
+    380: [21, 22, 23, 24, 69, 70],
+    390: [20, 21, 22, 23, 69, 70],
+    400: [19, 20, 21, 22, 69, 70],
+    410: [18, 19, 20, 21, 69, 70],
+    420: [17, 18, 19, 20, 70],
+    430: [16, 17, 18, 19, 70],
+    440: [15, 16, 17, 18, 70],
+    450: [14, 15, 16, 17, 70],
+    460: [12, 13, 14, 15, 16, 70],
+    470: [12, 13, 14, 70, 71],
+    480: [12, 13, 71],
+    490: [12]
+  },
+  680: {
+    70: [59],
+    80: [56, 57, 58, 59, 60, 61],
+    90: [54, 55, 56, 57, 58, 59, 60, 61, 62],
+    100: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    110: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    120: [50, 51, 52, 53, 54, 61, 62, 63, 64],
+    130: [49, 50, 51, 52, 62, 63, 64, 65],
+    140: [48, 49, 50, 51, 63, 64, 65],
+    150: [47, 48, 49, 50, 63, 64, 65],
+    160: [45, 46, 47, 48, 64, 65, 66],
+    170: [44, 45, 46, 47, 65, 66],
+    180: [43, 44, 45, 46, 65, 66],
+    190: [42, 43, 44, 45, 65, 66],
+    200: [41, 42, 43, 44, 66, 67],
+    210: [40, 41, 42, 43, 66, 67],
+    220: [39, 40, 41, 42, 66, 67],
+    230: [38, 39, 40, 41, 66, 67],
+    240: [37, 38, 39, 66, 67],
+    250: [36, 37, 38, 67, 68],
+    260: [35, 36, 37, 67, 68],
+    270: [34, 35, 36, 67, 68],
+    280: [33, 34, 35, 67, 68],
+    290: [31, 32, 33, 34, 68],
+    300: [30, 31, 32, 33, 68],
+    310: [29, 30, 31, 32, 68],
+    320: [28, 29, 30, 31, 68, 69],
+    330: [27, 28, 29, 30, 68, 69],
+    340: [26, 27, 28, 29, 68, 69],
+    350: [25, 26, 27, 28, 68, 69],
+    360: [24, 25, 26, 27, 68, 69],
+    370: [23, 24, 25, 26, 69],
+    380: [22, 23, 24, 69],
+    390: [21, 22, 23, 69],
+    400: [20, 21, 22, 69],
+    410: [18, 19, 20, 21, 69, 70],
+    420: [17, 18, 19, 20, 69, 70],
+    430: [16, 17, 18, 19, 69, 70],
+    440: [15, 16, 17, 18, 69, 70],
+    450: [14, 15, 16, 17, 69, 70],
+    460: [13, 14, 15, 16, 70],
+    470: [12, 13, 14, 15, 70],
+    480: [12, 13, 14, 70],
+    490: [12, 13]
+  },
+  690: {
+    80: [57, 58, 59, 60],
+    90: [54, 55, 56, 57, 58, 59, 60, 61],
+    100: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    110: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    120: [50, 51, 52, 53, 54, 55, 60, 61, 62, 63],
+    130: [49, 50, 51, 52, 53, 61, 62, 63, 64],
+    140: [48, 49, 50, 51, 62, 63, 64],
+    150: [47, 48, 49, 50, 63, 64, 65],
+    160: [46, 47, 48, 49, 63, 64, 65],
+    170: [44, 45, 46, 47, 64, 65],
+    180: [43, 44, 45, 46, 64, 65, 66],
+    190: [42, 43, 44, 45, 64, 65, 66],
+    200: [41, 42, 43, 44, 65, 66],
+    210: [40, 41, 42, 43, 65, 66],
+    220: [39, 40, 41, 42, 65, 66, 67],
+    230: [38, 39, 40, 66, 67],
+    240: [37, 38, 39, 40, 66, 67],
+    250: [36, 37, 38, 66, 67],
+    260: [35, 36, 37, 66, 67],
+    270: [34, 35, 36, 67],
+    280: [33, 34, 35, 67, 68],
+    290: [32, 33, 34, 67, 68],
+    300: [30, 31, 32, 33, 67, 68],
+    310: [29, 30, 31, 32, 67, 68],
+    320: [29, 30, 31, 67, 68],
+    330: [27, 28, 29, 30, 68],
+    340: [26, 27, 28, 29, 68],
+    350: [25, 26, 27, 28, 68],
+    360: [24, 25, 26, 27, 68, 69],
+    370: [23, 24, 25, 26, 68, 69],
+    380: [22, 23, 24, 25, 68, 69],
+    390: [21, 22, 23, 24, 68, 69],
+    400: [20, 21, 22, 69],
+    410: [19, 20, 21, 69],
+    420: [18, 19, 20, 69],
+    430: [17, 18, 19, 69],
+    440: [15, 16, 17, 18, 69],
+    450: [14, 15, 16, 17, 69],
+    460: [13, 14, 15, 16, 69, 70],
+    470: [12, 13, 14, 15, 69, 70],
+    480: [12, 13, 14, 69],
+    490: [12, 13],
+    500: [12]
+  },
+  700: {
+    90: [55, 56, 57, 58, 59, 60],
+    100: [53, 54, 55, 56, 57, 58, 59, 60, 61],
+    110: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    120: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    130: [49, 50, 51, 52, 53, 54, 60, 61, 62, 63],
+    140: [48, 49, 50, 51, 52, 61, 62, 63, 64],
+    150: [47, 48, 49, 50, 62, 63, 64],
+    160: [46, 47, 48, 49, 62, 63, 64],
+    170: [45, 46, 47, 63, 64, 65],
+    180: [43, 44, 45, 46, 64, 65],
+    190: [42, 43, 44, 45, 64, 65],
+    200: [41, 42, 43, 44, 64, 65, 66],
+    210: [40, 41, 42, 43, 65, 66],
+    220: [39, 40, 41, 42, 65, 66],
+    230: [38, 39, 40, 41, 65, 66],
+    240: [37, 38, 39, 40, 65, 66],
+    250: [36, 37, 38, 39, 66, 67],
+    260: [35, 36, 37, 66, 67],
+    270: [34, 35, 36, 66, 67],
+    280: [33, 34, 35, 66, 67],
+    290: [32, 33, 34, 66, 67],
+    300: [31, 32, 33, 67],
+    310: [30, 31, 32, 67, 68],
+    320: [28, 29, 30, 31, 67, 68],
+    330: [27, 28, 29, 30, 67, 68],
+    340: [27, 28, 29, 67, 68],
+    350: [25, 26, 27, 28, 67, 68],
+    360: [24, 25, 26, 27, 68],
+    370: [23, 24, 25, 26, 68],
+    380: [22, 23, 24, 25, 68],
+    390: [21, 22, 23, 24, 68, 69],
+    400: [20, 21, 22, 23, 68, 69],
+    410: [19, 20, 21, 22, 68, 69],
+    420: [18, 19, 20, 21, 68, 69],
+    430: [17, 18, 19, 68, 69],
+    440: [16, 17, 18, 69],
+    450: [15, 16, 17, 69],
+    460: [14, 15, 16, 69],
+    470: [12, 13, 14, 15, 69],
+    480: [12, 13, 14, 69],
+    490: [12, 13, 69]
+  },
+  710: {
+    90: [56, 57, 58],
+    100: [54, 55, 56, 57, 58, 59, 60],
+    110: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    120: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    130: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    140: [48, 49, 50, 51, 52, 60, 61, 62, 63],
+    150: [47, 48, 49, 50, 51, 61, 62, 63],
+    160: [46, 47, 48, 49, 62, 63, 64],
+    170: [45, 46, 47, 48, 62, 63, 64],
+    180: [44, 45, 46, 63, 64],
+    190: [42, 43, 44, 45, 63, 64, 65],
+    200: [41, 42, 43, 44, 64, 65],
+    210: [40, 41, 42, 43, 64, 65],
+    220: [39, 40, 41, 42, 64, 65],
+    230: [38, 39, 40, 41, 64, 65, 66],
+    240: [37, 38, 39, 40, 65, 66],
+    250: [36, 37, 38, 39, 65, 66],
+    260: [35, 36, 37, 38, 65, 66],
+    270: [34, 35, 36, 37, 65, 66],
+    280: [33, 34, 35, 66, 67],
+    290: [32, 33, 34, 35, 66, 67],
+    300: [31, 32, 33, 66, 67],
+    310: [30, 31, 32, 66, 67],
+    320: [29, 30, 31, 67],
+    330: [28, 29, 30, 67],
+    340: [26, 27, 28, 29, 67],
+    350: [25, 26, 27, 28, 67, 68],
+    360: [25, 26, 27, 67, 68],
+    370: [23, 24, 25, 26, 67, 68],
+    380: [22, 23, 24, 25, 67, 68],
+    390: [21, 22, 23, 24, 67, 68],
+    400: [20, 21, 22, 23, 68],
+    410: [19, 20, 21, 22, 68],
+    420: [18, 19, 20, 21, 68],
+    430: [17, 18, 19, 20, 68, 69],
+    440: [16, 17, 18, 19, 68, 69],
+    450: [15, 16, 17, 18, 68, 69],
+    460: [14, 15, 16, 68, 69],
+    470: [13, 14, 15, 68, 69],
+    480: [13, 14, 69],
+    490: [13]
+  },
+  720: {
+    100: [55, 56, 57, 58, 59],
+    110: [53, 54, 55, 56, 57, 58, 59, 60],
+    120: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    130: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    140: [48, 49, 50, 51, 52, 53, 58, 59, 60, 61, 62],
+    150: [47, 48, 49, 50, 51, 60, 61, 62, 63],
+    160: [46, 47, 48, 49, 50, 61, 62, 63],
+    170: [45, 46, 47, 48, 61, 62, 63],
+    180: [44, 45, 46, 47, 62, 63, 64],
+    190: [43, 44, 45, 62, 63, 64],
+    200: [41, 42, 43, 44, 63, 64],
+    210: [40, 41, 42, 43, 63, 64, 65],
+    220: [39, 40, 41, 42, 64, 65],
+    230: [38, 39, 40, 41, 64, 65],
+    240: [37, 38, 39, 40, 64, 65],
+    250: [36, 37, 38, 39, 64, 65, 66],
+    260: [35, 36, 37, 38, 65, 66],
+    270: [34, 35, 36, 37, 65, 66],
+    280: [33, 34, 35, 36, 65, 66],
+    290: [32, 33, 34, 65, 66],
+    300: [31, 32, 33, 34, 66],
+    310: [30, 31, 32, 33, 66, 67],
+    320: [29, 30, 31, 66, 67],
+    330: [28, 29, 30, 66, 67],
+    340: [27, 28, 29, 66, 67],
+    350: [26, 27, 28, 66, 67],
+    360: [25, 26, 27, 67],
+    370: [24, 25, 26, 67],
+    380: [23, 24, 25, 67, 68],
+    390: [22, 23, 24, 67, 68],
+    400: [20, 21, 22, 23, 67, 68],
+    410: [19, 20, 21, 22, 67, 68],
+    420: [18, 19, 20, 21, 67, 68],
+    430: [17, 18, 19, 20, 68],
+    440: [16, 17, 18, 19, 68],
+    450: [16, 17, 18, 68],
+    460: [14, 15, 16, 17, 68],
+    470: [13, 14, 15, 16, 68, 69],
+    480: [13, 14, 15, 68],
+    490: [13, 14, 68]
+  },
+  730: {
+    110: [53, 54, 55, 56, 57, 58, 59],
+    120: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    130: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    140: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    150: [47, 48, 49, 50, 51, 52, 58, 59, 60, 61, 62],
+    160: [46, 47, 48, 49, 50, 60, 61, 62],
+    170: [45, 46, 47, 48, 49, 60, 61, 62, 63],
+    180: [44, 45, 46, 47, 61, 62, 63],
+    190: [43, 44, 45, 46, 62, 63],
+    200: [42, 43, 44, 62, 63, 64],
+    210: [40, 41, 42, 43, 63, 64],
+    220: [40, 41, 42, 63, 64],
+    230: [38, 39, 40, 41, 63, 64, 65],
+    240: [37, 38, 39, 40, 64, 65],
+    250: [36, 37, 38, 39, 64, 65],
+    260: [35, 36, 37, 38, 64, 65],
+    270: [34, 35, 36, 37, 64, 65],
+    280: [33, 34, 35, 36, 65, 66],
+    290: [32, 33, 34, 35, 65, 66],
+    300: [31, 32, 33, 34, 65, 66],
+    310: [30, 31, 32, 33, 65, 66],
+    320: [29, 30, 31, 32, 65, 66],
+    330: [28, 29, 30, 66],
+    340: [27, 28, 29, 66, 67],
+    350: [26, 27, 28, 29, 66, 67],
+    360: [25, 26, 27, 66, 67],
+    370: [24, 25, 26, 66, 67],
+    380: [23, 24, 25, 66, 67],
+    390: [22, 23, 24, 67],
+    400: [21, 22, 23, 67],
+    410: [20, 21, 22, 67],
+    420: [19, 20, 21, 67, 68],
+    430: [17, 18, 19, 20, 67, 68],
+    440: [16, 17, 18, 19, 67, 68],
+    450: [15, 16, 17, 18, 67, 68],
+    460: [14, 15, 16, 17, 67, 68],
+    470: [14, 15, 16, 68],
+    480: [14, 15, 68],
+    490: [14, 68],
+    500: [68]
+  },
+  740: {
+    110: [55, 56, 57],
+    120: [52, 53, 54, 55, 56, 57, 58, 59],
+    130: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    140: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    150: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    160: [46, 47, 48, 49, 50, 51, 58, 59, 60, 61, 62],
+    170: [45, 46, 47, 48, 49, 59, 60, 61, 62],
+    180: [44, 45, 46, 47, 60, 61, 62],
+    190: [43, 44, 45, 46, 61, 62, 63],
+    200: [42, 43, 44, 45, 61, 62, 63],
+    210: [41, 42, 43, 44, 62, 63],
+    220: [40, 41, 42, 43, 62, 63, 64],
+    230: [39, 40, 41, 63, 64],
+    240: [37, 38, 39, 40, 63, 64],
+    250: [36, 37, 38, 39, 63, 64],
+    260: [35, 36, 37, 38, 64, 65],
+    270: [34, 35, 36, 37, 64, 65],
+    280: [33, 34, 35, 36, 64, 65],
+    290: [32, 33, 34, 35, 64, 65],
+    300: [31, 32, 33, 34, 65],
+    310: [30, 31, 32, 33, 65, 66],
+    320: [29, 30, 31, 32, 65, 66],
+    330: [28, 29, 30, 31, 65, 66],
+    340: [27, 28, 29, 30, 65, 66],
+    350: [26, 27, 28, 66],
+    360: [25, 26, 27, 28, 66],
+    370: [24, 25, 26, 27, 66],
+    380: [23, 24, 25, 26, 66, 67],
+    390: [22, 23, 24, 66, 67],
+    400: [21, 22, 23, 24, 66, 67],
+    410: [20, 21, 22, 23, 66, 67],
+    420: [19, 20, 21, 22, 67],
+    430: [18, 19, 20, 67],
+    440: [17, 18, 19, 67],
+    450: [16, 17, 18, 67],
+    460: [15, 16, 17, 67, 68],
+    470: [14, 15, 16, 67, 68],
+    480: [14, 15, 67, 68],
+    490: [14, 68]
+  },
+  750: {
+    120: [54, 55, 56, 57],
+    130: [51, 52, 53, 54, 55, 56, 57, 58, 59],
+    140: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    150: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    160: [47, 48, 49, 50, 51, 52, 53, 56, 57, 58, 59, 60, 61],
+    170: [45, 46, 47, 48, 49, 50, 58, 59, 60, 61],
+    180: [44, 45, 46, 47, 48, 59, 60, 61, 62],
+    190: [43, 44, 45, 46, 60, 61, 62],
+    200: [42, 43, 44, 45, 61, 62, 63],
+    210: [41, 42, 43, 44, 61, 62, 63],
+    220: [40, 41, 42, 43, 62, 63],
+    230: [39, 40, 41, 42, 62, 63],
+    240: [38, 39, 40, 41, 62, 63, 64],
+    250: [37, 38, 39, 63, 64],
+    260: [35, 36, 37, 38, 63, 64],
+    270: [35, 36, 37, 63, 64],
+    280: [33, 34, 35, 36, 64, 65],
+    290: [32, 33, 34, 35, 64, 65],
+    300: [31, 32, 33, 34, 64, 65],
+    310: [30, 31, 32, 33, 64, 65],
+    320: [29, 30, 31, 32, 64, 65],
+    330: [28, 29, 30, 31, 65],
+    340: [27, 28, 29, 30, 65, 66],
+    350: [26, 27, 28, 29, 65, 66],
+    360: [25, 26, 27, 28, 65, 66],
+    370: [24, 25, 26, 27, 65, 66],
+    380: [23, 24, 25, 26, 65, 66],
+    390: [22, 23, 24, 25, 66],
+    400: [21, 22, 23, 24, 66],
+    410: [20, 21, 22, 66, 67],
+    420: [19, 20, 21, 22, 66, 67],
+    430: [18, 19, 20, 21, 66, 67],
+    440: [17, 18, 19, 20, 66, 67],
+    450: [16, 17, 18, 19, 66, 67],
+    460: [15, 16, 17, 18, 67],
+    470: [15, 16, 67],
+    480: [15, 16, 67],
+    490: [15]
+  },
+  760: {
+    130: [52, 53, 54, 55, 56, 57],
+    140: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    150: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    160: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    170: [46, 47, 48, 49, 50, 51, 57, 58, 59, 60, 61],
+    180: [45, 46, 47, 48, 49, 58, 59, 60, 61],
+    190: [43, 44, 45, 46, 47, 59, 60, 61],
+    200: [42, 43, 44, 45, 46, 60, 61, 62],
+    210: [41, 42, 43, 44, 60, 61, 62],
+    220: [40, 41, 42, 43, 61, 62],
+    230: [39, 40, 41, 42, 61, 62, 63],
+    240: [38, 39, 40, 41, 62, 63],
+    250: [37, 38, 39, 40, 62, 63],
+    260: [36, 37, 38, 62, 63, 64],
+    270: [35, 36, 37, 63, 64],
+    280: [34, 35, 36, 63, 64],
+    290: [33, 34, 35, 63, 64],
+    300: [32, 33, 34, 63, 64],
+    310: [31, 32, 33, 64, 65],
+    320: [30, 31, 32, 64, 65],
+    330: [28, 29, 30, 31, 64, 65],
+    340: [28, 29, 30, 64, 65],
+    350: [27, 28, 29, 64, 65],
+    360: [25, 26, 27, 28, 65],
+    370: [24, 25, 26, 27, 65, 66],
+    380: [24, 25, 26, 65, 66],
+    390: [23, 24, 25, 65, 66],
+    400: [21, 22, 23, 24, 65, 66],
+    410: [20, 21, 22, 23, 65, 66],
+    420: [19, 20, 21, 22, 66],
+    430: [19, 20, 21, 66],
+    440: [18, 19, 20, 66],
+    450: [17, 18, 19, 66, 67],
+    460: [15, 16, 17, 18, 66, 67],
+    470: [15, 16, 17, 66, 67],
+    480: [15, 16, 66, 67],
+    490: [15, 66]
+  },
+  770: {
+    130: [54, 55],
+    140: [51, 52, 53, 54, 55, 56, 57],
+    150: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    160: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    170: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    180: [45, 46, 47, 48, 49, 50, 57, 58, 59, 60],
+    190: [44, 45, 46, 47, 48, 58, 59, 60, 61],
+    200: [43, 44, 45, 46, 59, 60, 61],
+    210: [41, 42, 43, 44, 45, 59, 60, 61, 62],
+    220: [40, 41, 42, 43, 60, 61, 62],
+    230: [39, 40, 41, 42, 61, 62],
+    240: [38, 39, 40, 41, 61, 62, 63],
+    250: [37, 38, 39, 40, 61, 62, 63],
+    260: [36, 37, 38, 39, 62, 63],
+    270: [35, 36, 37, 38, 62, 63],
+    280: [34, 35, 36, 37, 62, 63, 64],
+    290: [33, 34, 35, 36, 63, 64],
+    300: [32, 33, 34, 63, 64],
+    310: [31, 32, 33, 34, 63, 64],
+    320: [30, 31, 32, 63, 64],
+    330: [29, 30, 31, 64],
+    340: [28, 29, 30, 64, 65],
+    350: [27, 28, 29, 64, 65],
+    360: [26, 27, 28, 64, 65],
+    370: [25, 26, 27, 64, 65],
+    380: [24, 25, 26, 65],
+    390: [23, 24, 25, 65],
+    400: [22, 23, 24, 65, 66],
+    410: [21, 22, 23, 65, 66],
+    420: [20, 21, 22, 65, 66],
+    430: [19, 20, 21, 65, 66],
+    440: [18, 19, 20, 65, 66],
+    450: [17, 18, 19, 66],
+    460: [16, 17, 18, 66],
+    470: [15, 16, 17, 66],
+    480: [15, 16, 66],
+    490: [15, 66],
+    500: [66]
+  },
+  780: {
+    140: [52, 53, 54, 55, 56],
+    150: [50, 51, 52, 53, 54, 55, 56, 57],
+    160: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    170: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    180: [45, 46, 47, 48, 49, 50, 51, 52, 54, 55, 56, 57, 58, 59],
+    190: [44, 45, 46, 47, 48, 49, 57, 58, 59, 60],
+    200: [43, 44, 45, 46, 47, 58, 59, 60],
+    210: [42, 43, 44, 45, 59, 60, 61],
+    220: [40, 41, 42, 43, 44, 59, 60, 61],
+    230: [40, 41, 42, 60, 61, 62],
+    240: [38, 39, 40, 41, 60, 61, 62],
+    250: [37, 38, 39, 40, 61, 62],
+    260: [36, 37, 38, 39, 61, 62, 63],
+    270: [35, 36, 37, 38, 61, 62, 63],
+    280: [34, 35, 36, 37, 62, 63],
+    290: [33, 34, 35, 36, 62, 63],
+    300: [32, 33, 34, 35, 62, 63],
+    310: [31, 32, 33, 34, 63],
+    320: [30, 31, 32, 33, 63, 64],
+    330: [29, 30, 31, 32, 63, 64],
+    340: [28, 29, 30, 31, 63, 64],
+    350: [27, 28, 29, 30, 64],
+    360: [26, 27, 28, 64],
+    370: [25, 26, 27, 28, 64, 65],
+    380: [24, 25, 26, 27, 64, 65],
+    390: [23, 24, 25, 26, 64, 65],
+    400: [22, 23, 24, 64, 65],
+    410: [21, 22, 23, 24, 64, 65],
+    420: [20, 21, 22, 23, 65],
+    430: [19, 20, 21, 22, 65],
+    440: [18, 19, 20, 65, 66],
+    450: [17, 18, 19, 20, 65, 66],
+    460: [16, 17, 18, 19, 65, 66],
+    470: [15, 16, 17, 18, 65, 66],
+    480: [15, 16, 17, 65, 66],
+    490: [15, 16, 66],
+    500: [66]
+  },
+  790: {
+    150: [51, 52, 53, 54, 55, 56],
+    160: [49, 50, 51, 52, 53, 54, 55, 56, 57],
+    170: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    180: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    190: [44, 45, 46, 47, 48, 49, 50, 54, 55, 56, 57, 58, 59],
+    200: [43, 44, 45, 46, 47, 57, 58, 59, 60],
+    210: [42, 43, 44, 45, 46, 58, 59, 60],
+    220: [41, 42, 43, 44, 58, 59, 60, 61],
+    230: [40, 41, 42, 43, 59, 60, 61],
+    240: [39, 40, 41, 42, 60, 61],
+    250: [37, 38, 39, 40, 41, 60, 61, 62],
+    260: [37, 38, 39, 60, 61, 62],
+    270: [35, 36, 37, 38, 61, 62],
+    280: [35, 36, 37, 61, 62],
+    290: [33, 34, 35, 36, 61, 62, 63],
+    300: [32, 33, 34, 35, 62, 63],
+    310: [31, 32, 33, 34, 62, 63],
+    320: [30, 31, 32, 33, 62, 63],
+    330: [29, 30, 31, 32, 62, 63],
+    340: [28, 29, 30, 31, 63, 64],
+    350: [27, 28, 29, 30, 63, 64],
+    360: [26, 27, 28, 29, 63, 64],
+    370: [26, 27, 28, 63, 64],
+    380: [24, 25, 26, 27, 63, 64],
+    390: [23, 24, 25, 26, 64],
+    400: [22, 23, 24, 25, 64, 65],
+    410: [22, 23, 24, 64, 65],
+    420: [20, 21, 22, 23, 64, 65],
+    430: [19, 20, 21, 22, 64, 65],
+    440: [18, 19, 20, 21, 65],
+    450: [17, 18, 19, 20, 65],
+    460: [17, 18, 19, 65],
+    470: [16, 17, 18, 65],
+    480: [15, 16, 17, 65, 66],
+    490: [16, 65, 66]
+  },
+  800: {
+    160: [50, 51, 52, 53, 54, 55, 56],
+    170: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    180: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    190: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    200: [44, 45, 46, 47, 48, 49, 55, 56, 57, 58, 59],
+    210: [42, 43, 44, 45, 46, 47, 56, 57, 58, 59],
+    220: [41, 42, 43, 44, 45, 57, 58, 59, 60],
+    230: [40, 41, 42, 43, 58, 59, 60],
+    240: [39, 40, 41, 42, 59, 60, 61],
+    250: [38, 39, 40, 41, 59, 60, 61],
+    260: [37, 38, 39, 40, 60, 61],
+    270: [36, 37, 38, 39, 60, 61, 62],
+    280: [35, 36, 37, 60, 61, 62],
+    290: [34, 35, 36, 61, 62],
+    300: [33, 34, 35, 61, 62],
+    310: [32, 33, 34, 61, 62, 63],
+    320: [31, 32, 33, 62, 63],
+    330: [29, 30, 31, 32, 62, 63],
+    340: [28, 29, 30, 31, 62, 63],
+    350: [28, 29, 30, 62, 63],
+    360: [27, 28, 29, 63, 64],
+    370: [25, 26, 27, 28, 63, 64],
+    380: [25, 26, 27, 63, 64],
+    390: [24, 25, 26, 63, 64],
+    400: [23, 24, 25, 63, 64],
+    410: [22, 23, 24, 64],
+    420: [21, 22, 23, 64],
+    430: [20, 21, 22, 64, 65],
+    440: [19, 20, 21, 64, 65],
+    450: [18, 19, 20, 64, 65],
+    460: [17, 18, 19, 64, 65],
+    470: [16, 17, 18, 64, 65],
+    480: [16, 17, 65],
+    490: [16, 65]
+  },
+  810: {
+    160: [51, 52, 53],
+    170: [49, 50, 51, 52, 53, 54, 55, 56],
+    180: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    190: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    200: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    210: [43, 44, 45, 46, 47, 48, 55, 56, 57, 58, 59],
+    220: [42, 43, 44, 45, 46, 56, 57, 58, 59],
+    230: [40, 41, 42, 43, 44, 57, 58, 59, 60],
+    240: [39, 40, 41, 42, 43, 58, 59, 60],
+    250: [38, 39, 40, 41, 58, 59, 60],
+    260: [37, 38, 39, 40, 59, 60, 61],
+    270: [36, 37, 38, 39, 59, 60, 61],
+    280: [35, 36, 37, 38, 60, 61],
+    290: [34, 35, 36, 37, 60, 61, 62],
+    300: [33, 34, 35, 36, 60, 61, 62],
+    310: [32, 33, 34, 61, 62],
+    320: [31, 32, 33, 34, 61, 62],
+    330: [30, 31, 32, 61, 62],
+    340: [29, 30, 31, 62],
+    350: [28, 29, 30, 31, 62, 63],
+    360: [27, 28, 29, 62, 63],
+    370: [26, 27, 28, 62, 63],
+    380: [25, 26, 27, 62, 63],
+    390: [24, 25, 26, 63],
+    400: [23, 24, 25, 63, 64],
+    410: [22, 23, 24, 25, 63, 64],
+    420: [21, 22, 23, 63, 64],
+    430: [20, 21, 22, 63, 64],
+    440: [19, 20, 21, 22, 63, 64],
+    450: [18, 19, 20, 21, 64],
+    460: [17, 18, 19, 20, 64],
+    470: [17, 18, 64, 65],
+    480: [16, 17, 18, 64, 65],
+    490: [17]
+  },
+  820: {
+    170: [51, 52, 53],
+    180: [48, 49, 50, 51, 52, 53, 54, 55],
+    190: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    200: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    210: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    220: [42, 43, 44, 45, 46, 47, 54, 55, 56, 57, 58],
+    230: [41, 42, 43, 44, 45, 56, 57, 58, 59],
+    240: [40, 41, 42, 43, 57, 58, 59],
+    250: [38, 39, 40, 41, 42, 58, 59, 60],
+    260: [37, 38, 39, 40, 41, 58, 59, 60],
+    270: [36, 37, 38, 39, 40, 58, 59, 60],
+    280: [35, 36, 37, 38, 59, 60, 61],
+    290: [34, 35, 36, 37, 59, 60, 61],
+    300: [33, 34, 35, 36, 60, 61],
+    310: [32, 33, 34, 35, 60, 61],
+    320: [31, 32, 33, 34, 60, 61, 62],
+    330: [30, 31, 32, 33, 61, 62],
+    340: [29, 30, 31, 32, 61, 62],
+    350: [28, 29, 30, 31, 61, 62],
+    360: [27, 28, 29, 30, 61, 62],
+    370: [26, 27, 28, 29, 62, 63],
+    380: [25, 26, 27, 28, 62, 63],
+    390: [24, 25, 26, 27, 62, 63],
+    400: [23, 24, 25, 26, 62, 63],
+    410: [22, 23, 24, 25, 62, 63],
+    420: [21, 22, 23, 24, 63],
+    430: [20, 21, 22, 23, 63, 64],
+    440: [20, 21, 22, 63, 64],
+    450: [19, 20, 21, 63, 64],
+    460: [17, 18, 19, 20, 63, 64],
+    470: [17, 18, 19, 64],
+    480: [17, 18, 64],
+    490: [17]
+  },
+  830: {
+    180: [49, 50, 51, 52, 53],
+    190: [47, 48, 49, 50, 51, 52, 53, 54, 55],
+    200: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    210: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    220: [42, 43, 44, 45, 46, 47, 48, 49, 50, 52, 53, 54, 55, 56, 57],
+    230: [41, 42, 43, 44, 45, 46, 54, 55, 56, 57, 58],
+    240: [40, 41, 42, 43, 44, 56, 57, 58, 59],
+    250: [39, 40, 41, 42, 43, 57, 58, 59],
+    260: [38, 39, 40, 41, 57, 58, 59],
+    270: [37, 38, 39, 40, 58, 59, 60],
+    280: [36, 37, 38, 39, 58, 59, 60],
+    290: [35, 36, 37, 59, 60],
+    300: [33, 34, 35, 36, 59, 60, 61],
+    310: [32, 33, 34, 35, 59, 60, 61],
+    320: [32, 33, 34, 60, 61],
+    330: [30, 31, 32, 33, 60, 61],
+    340: [30, 31, 32, 60, 61, 62],
+    350: [29, 30, 31, 61, 62],
+    360: [27, 28, 29, 30, 61, 62],
+    370: [27, 28, 29, 61, 62],
+    380: [26, 27, 28, 61, 62],
+    390: [24, 25, 26, 27, 62, 63],
+    400: [24, 25, 26, 62, 63],
+    410: [23, 24, 25, 62, 63],
+    420: [22, 23, 24, 62, 63],
+    430: [21, 22, 23, 62, 63],
+    440: [20, 21, 22, 63],
+    450: [19, 20, 21, 63],
+    460: [18, 19, 20, 63, 64],
+    470: [18, 19, 63, 64],
+    480: [18, 63],
+    490: [18, 63]
+  },
+  840: {
+    190: [48, 49, 50, 51, 52, 53],
+    200: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    210: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    220: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    230: [42, 43, 44, 45, 46, 47, 52, 53, 54, 55, 56, 57],
+    240: [41, 42, 43, 44, 45, 54, 55, 56, 57, 58],
+    250: [39, 40, 41, 42, 43, 55, 56, 57, 58],
+    260: [38, 39, 40, 41, 42, 56, 57, 58, 59],
+    270: [37, 38, 39, 40, 41, 57, 58, 59],
+    280: [36, 37, 38, 39, 57, 58, 59],
+    290: [35, 36, 37, 38, 58, 59, 60],
+    300: [34, 35, 36, 37, 58, 59, 60],
+    310: [33, 34, 35, 36, 59, 60],
+    320: [32, 33, 34, 35, 59, 60],
+    330: [31, 32, 33, 34, 59, 60, 61],
+    340: [30, 31, 32, 60, 61],
+    350: [29, 30, 31, 32, 60, 61],
+    360: [28, 29, 30, 60, 61],
+    370: [27, 28, 29, 30, 61],
+    380: [26, 27, 28, 61, 62],
+    390: [25, 26, 27, 61, 62],
+    400: [24, 25, 26, 27, 61, 62],
+    410: [23, 24, 25, 26, 61, 62],
+    420: [22, 23, 24, 62],
+    430: [21, 22, 23, 24, 62, 63],
+    440: [20, 21, 22, 23, 62, 63],
+    450: [19, 20, 21, 22, 62, 63],
+    460: [18, 19, 20, 21, 62, 63],
+    470: [18, 19, 20, 62, 63],
+    480: [18, 19, 63],
+    490: [18, 63]
+  },
+  850: {
+    200: [47, 48, 49, 50, 51, 52, 53],
+    210: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    220: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    230: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    240: [41, 42, 43, 44, 45, 46, 47, 53, 54, 55, 56, 57],
+    250: [40, 41, 42, 43, 44, 54, 55, 56, 57],
+    260: [39, 40, 41, 42, 43, 55, 56, 57, 58],
+    270: [38, 39, 40, 41, 56, 57, 58],
+    280: [36, 37, 38, 39, 40, 56, 57, 58, 59],
+    290: [35, 36, 37, 38, 39, 57, 58, 59],
+    300: [34, 35, 36, 37, 57, 58, 59],
+    310: [33, 34, 35, 36, 58, 59, 60],
+    320: [32, 33, 34, 35, 58, 59, 60],
+    330: [31, 32, 33, 34, 59, 60],
+    340: [30, 31, 32, 33, 59, 60],
+    350: [29, 30, 31, 32, 59, 60, 61],
+    360: [28, 29, 30, 31, 60, 61],
+    370: [27, 28, 29, 30, 60, 61],
+    380: [26, 27, 28, 29, 60, 61],
+    390: [25, 26, 27, 28, 60, 61],
+    400: [24, 25, 26, 27, 61, 62],
+    410: [23, 24, 25, 26, 61, 62],
+    420: [23, 24, 25, 61, 62],
+    430: [22, 23, 24, 61, 62],
+    440: [20, 21, 22, 23, 61, 62],
+    450: [20, 21, 22, 62, 63],
+    460: [19, 20, 21, 62],
+    470: [18, 19, 20, 62, 63],
+    480: [18, 19, 62, 63],
+    490: [18, 63]
+  },
+  860: {
+    200: [50, 51],
+    210: [47, 48, 49, 50, 51, 52, 53],
+    220: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    230: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    240: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    250: [40, 41, 42, 43, 44, 45, 46, 52, 53, 54, 55, 56, 57],
+    260: [39, 40, 41, 42, 43, 44, 54, 55, 56, 57],
+    270: [38, 39, 40, 41, 42, 55, 56, 57, 58],
+    280: [37, 38, 39, 40, 55, 56, 57, 58],
+    290: [36, 37, 38, 39, 56, 57, 58],
+    300: [35, 36, 37, 38, 57, 58],
+    310: [34, 35, 36, 37, 57, 58, 59],
+    320: [33, 34, 35, 36, 58, 59],
+    330: [31, 32, 33, 34, 58, 59, 60],
+    340: [31, 32, 33, 58, 59, 60],
+    350: [29, 30, 31, 32, 59, 60],
+    360: [29, 30, 31, 59, 60],
+    370: [28, 29, 30, 59, 60, 61],
+    380: [27, 28, 29, 60, 61],
+    390: [26, 27, 28, 60, 61],
+    400: [25, 26, 27, 60, 61],
+    410: [24, 25, 26, 60, 61],
+    420: [23, 24, 25, 60, 61, 62],
+    430: [22, 23, 24, 61, 62],
+    440: [21, 22, 23, 61, 62],
+    450: [20, 21, 22, 23, 61, 62],
+    460: [19, 20, 21, 61, 62],
+    470: [18, 19, 20, 61, 62],
+    480: [18, 19, 20, 62],
+    490: [18, 19]
+  },
+  870: {
+    210: [48, 49, 50, 51],
+    220: [46, 47, 48, 49, 50, 51, 52, 53],
+    230: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    240: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    250: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    260: [40, 41, 42, 43, 44, 45, 52, 53, 54, 55, 56],
+    270: [38, 39, 40, 41, 42, 43, 53, 54, 55, 56, 57],
+    280: [38, 39, 40, 41, 54, 55, 56, 57],
+    290: [36, 37, 38, 39, 40, 55, 56, 57, 58],
+    300: [35, 36, 37, 38, 56, 57, 58],
+    310: [34, 35, 36, 37, 56, 57, 58],
+    320: [33, 34, 35, 36, 57, 58, 59],
+    330: [32, 33, 34, 35, 57, 58, 59],
+    340: [31, 32, 33, 34, 58, 59],
+    350: [30, 31, 32, 33, 58, 59],
+    360: [29, 30, 31, 32, 58, 59, 60],
+    370: [28, 29, 30, 31, 59, 60],
+    380: [27, 28, 29, 30, 59, 60],
+    390: [26, 27, 28, 29, 59, 60],
+    400: [25, 26, 27, 28, 60, 61],
+    410: [24, 25, 26, 27, 60, 61],
+    420: [23, 24, 25, 26, 60, 61],
+    430: [23, 24, 25, 60, 61],
+    440: [21, 22, 23, 24, 60, 61],
+    450: [20, 21, 22, 23, 61],
+    460: [19, 20, 21, 22, 61, 62],
+    470: [19, 20, 21, 61, 62],
+    480: [19, 20, 61],
+    490: [19, 61]
+  },
+  880: {
+    220: [47, 48, 49, 50, 51],
+    230: [45, 46, 47, 48, 49, 50, 51, 52, 53],
+    240: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    250: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    260: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    270: [39, 40, 41, 42, 43, 44, 52, 53, 54, 55, 56],
+    280: [38, 39, 40, 41, 42, 53, 54, 55, 56],
+    290: [37, 38, 39, 40, 41, 54, 55, 56, 57],
+    300: [35, 36, 37, 38, 39, 55, 56, 57],
+    310: [35, 36, 37, 38, 55, 56, 57, 58],
+    320: [33, 34, 35, 36, 37, 56, 57, 58],
+    330: [33, 34, 35, 56, 57, 58],
+    340: [31, 32, 33, 34, 57, 58, 59],
+    350: [30, 31, 32, 33, 57, 58, 59],
+    360: [29, 30, 31, 32, 58, 59],
+    370: [28, 29, 30, 31, 58, 59],
+    380: [28, 29, 30, 58, 59, 60],
+    390: [26, 27, 28, 29, 59, 60],
+    400: [25, 26, 27, 28, 59, 60],
+    410: [25, 26, 27, 59, 60],
+    420: [24, 25, 26, 59, 60],
+    430: [23, 24, 25, 60, 61],
+    440: [22, 23, 24, 60, 61],
+    450: [21, 22, 23, 60, 61],
+    460: [20, 21, 22, 60, 61],
+    470: [19, 20, 21, 60, 61],
+    480: [19, 20, 61],
+    490: [19, 20, 61]
+  },
+  890: {
+    230: [47, 48, 49, 50, 51],
+    240: [44, 45, 46, 47, 48, 49, 50, 51, 52],
+    250: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    260: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    270: [40, 41, 42, 43, 44, 45, 46, 47, 49, 50, 51, 52, 53, 54, 55],
+    280: [38, 39, 40, 41, 42, 43, 44, 52, 53, 54, 55, 56],
+    290: [37, 38, 39, 40, 41, 42, 53, 54, 55, 56],
+    300: [36, 37, 38, 39, 40, 54, 55, 56, 57],
+    310: [35, 36, 37, 38, 39, 54, 55, 56, 57],
+    320: [34, 35, 36, 37, 55, 56, 57],
+    330: [33, 34, 35, 36, 56, 57],
+    340: [32, 33, 34, 35, 56, 57, 58],
+    350: [31, 32, 33, 34, 57, 58],
+    360: [30, 31, 32, 33, 57, 58, 59],
+    370: [29, 30, 31, 32, 57, 58, 59],
+    380: [28, 29, 30, 31, 58, 59],
+    390: [27, 28, 29, 30, 58, 59],
+    400: [26, 27, 28, 58, 59],
+    410: [25, 26, 27, 28, 58, 59, 60],
+    420: [24, 25, 26, 27, 59, 60],
+    430: [23, 24, 25, 26, 59, 60],
+    440: [22, 23, 24, 25, 59, 60],
+    450: [21, 22, 23, 24, 59, 60],
+    460: [20, 21, 22, 23, 60, 61],
+    470: [20, 21, 22, 60, 61],
+    480: [20, 21, 60, 61],
+    490: [20, 61]
+  },
+  900: {
+    240: [46, 47, 48, 49, 50, 51],
+    250: [44, 45, 46, 47, 48, 49, 50, 51, 52],
+    260: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    270: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    280: [39, 40, 41, 42, 43, 44, 45, 46, 47, 49, 50, 51, 52, 53, 54, 55],
+    290: [38, 39, 40, 41, 42, 43, 51, 52, 53, 54, 55],
+    300: [37, 38, 39, 40, 41, 53, 54, 55, 56],
+    310: [35, 36, 37, 38, 39, 53, 54, 55, 56],
+    320: [35, 36, 37, 38, 54, 55, 56, 57],
+    330: [33, 34, 35, 36, 37, 55, 56, 57],
+    340: [32, 33, 34, 35, 55, 56, 57],
+    350: [31, 32, 33, 34, 56, 57, 58],
+    360: [30, 31, 32, 33, 56, 57, 58],
+    370: [29, 30, 31, 32, 57, 58],
+    380: [28, 29, 30, 31, 57, 58],
+    390: [27, 28, 29, 30, 57, 58, 59],
+    400: [26, 27, 28, 29, 58, 59],
+    410: [25, 26, 27, 28, 58, 59],
+    420: [25, 26, 27, 58, 59],
+    430: [23, 24, 25, 26, 58, 59, 60],
+    440: [23, 24, 25, 59, 60],
+    450: [22, 23, 24, 59, 60],
+    460: [21, 22, 23, 59, 60],
+    470: [20, 21, 22, 59, 60],
+    480: [20, 21, 60],
+    490: [60]
+  },
+  910: {
+    250: [45, 46, 47, 48, 49, 50, 51],
+    260: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    270: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    280: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    290: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    300: [37, 38, 39, 40, 41, 42, 51, 52, 53, 54, 55],
+    310: [36, 37, 38, 39, 40, 52, 53, 54, 55],
+    320: [35, 36, 37, 38, 39, 53, 54, 55, 56],
+    330: [34, 35, 36, 37, 54, 55, 56],
+    340: [33, 34, 35, 36, 54, 55, 56],
+    350: [32, 33, 34, 35, 55, 56, 57],
+    360: [31, 32, 33, 34, 55, 56, 57],
+    370: [30, 31, 32, 56, 57, 58],
+    380: [29, 30, 31, 32, 56, 57, 58],
+    390: [28, 29, 30, 57, 58],
+    400: [27, 28, 29, 30, 57, 58],
+    410: [26, 27, 28, 57, 58],
+    420: [25, 26, 27, 28, 57, 58, 59],
+    430: [24, 25, 26, 27, 58, 59],
+    440: [23, 24, 25, 58, 59],
+    450: [22, 23, 24, 25, 58, 59],
+    460: [21, 22, 23, 24, 59, 60],
+    470: [21, 22, 23, 59, 60],
+    480: [21, 22, 59, 60],
+    490: [21]
+  },
+  920: {
+    260: [44, 45, 46, 47, 48, 49, 50],
+    270: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    280: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    290: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    300: [38, 39, 40, 41, 42, 43, 44, 48, 49, 50, 51, 52, 53, 54],
+    310: [37, 38, 39, 40, 41, 42, 50, 51, 52, 53, 54, 55],
+    320: [35, 36, 37, 38, 39, 40, 52, 53, 54, 55],
+    330: [34, 35, 36, 37, 38, 53, 54, 55],
+    340: [33, 34, 35, 36, 37, 53, 54, 55, 56],
+    350: [32, 33, 34, 35, 36, 54, 55, 56],
+    360: [31, 32, 33, 34, 54, 55, 56],
+    370: [30, 31, 32, 33, 55, 56, 57],
+    380: [29, 30, 31, 32, 55, 56, 57],
+    390: [28, 29, 30, 31, 56, 57],
+    400: [27, 28, 29, 30, 56, 57, 58],
+    410: [26, 27, 28, 29, 57, 58],
+    420: [25, 26, 27, 28, 57, 58],
+    430: [25, 26, 27, 57, 58],
+    440: [23, 24, 25, 26, 57, 58, 59],
+    450: [22, 23, 24, 25, 58, 59],
+    460: [22, 23, 24, 58, 59],
+    470: [21, 22, 23, 58, 59],
+    480: [21, 22, 58, 59],
+    490: [21]
+  },
+  930: {
+    270: [44, 45, 46, 47, 48, 49, 50],
+    280: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    290: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    300: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    310: [37, 38, 39, 40, 41, 42, 43, 44, 48, 49, 50, 51, 52, 53, 54],
+    320: [36, 37, 38, 39, 40, 41, 50, 51, 52, 53, 54],
+    330: [35, 36, 37, 38, 39, 52, 53, 54, 55],
+    340: [34, 35, 36, 37, 38, 52, 53, 54, 55],
+    350: [33, 34, 35, 36, 53, 54, 55],
+    360: [32, 33, 34, 35, 54, 55, 56],
+    370: [31, 32, 33, 34, 54, 55, 56],
+    380: [30, 31, 32, 33, 55, 56],
+    390: [29, 30, 31, 32, 55, 56, 57],
+    400: [28, 29, 30, 55, 56, 57],
+    410: [27, 28, 29, 30, 56, 57],
+    420: [26, 27, 28, 56, 57, 58],
+    430: [25, 26, 27, 28, 56, 57, 58],
+    440: [24, 25, 26, 27, 57, 58],
+    450: [23, 24, 25, 57, 58],
+    460: [22, 23, 24, 25, 57, 58, 59],
+    470: [21, 22, 23, 24, 58, 59],
+    480: [21, 22, 23, 58],
+    490: [21, 22, 58]
+  },
+  940: {
+    280: [43, 44, 45, 46, 47, 48, 49],
+    290: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    300: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    310: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    320: [37, 38, 39, 40, 41, 42, 43, 44, 48, 49, 50, 51, 52, 53],
+    330: [36, 37, 38, 39, 40, 41, 50, 51, 52, 53, 54],
+    340: [34, 35, 36, 37, 38, 39, 51, 52, 53, 54],
+    350: [33, 34, 35, 36, 37, 52, 53, 54, 55],
+    360: [32, 33, 34, 35, 36, 53, 54, 55],
+    370: [31, 32, 33, 34, 53, 54, 55],
+    380: [30, 31, 32, 33, 54, 55, 56],
+    390: [29, 30, 31, 32, 54, 55, 56],
+    400: [28, 29, 30, 31, 55, 56],
+    410: [27, 28, 29, 30, 55, 56, 57],
+    420: [26, 27, 28, 29, 56, 57],
+    430: [25, 26, 27, 28, 56, 57],
+    440: [25, 26, 27, 56, 57],
+    450: [23, 24, 25, 26, 56, 57, 58],
+    460: [23, 24, 25, 57, 58],
+    470: [22, 23, 24, 57, 58],
+    480: [22, 23, 57, 58],
+    490: [22, 58]
+  },
+  950: {
+    280: [45, 46, 47],
+    290: [42, 43, 44, 45, 46, 47, 48, 49],
+    300: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    310: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    320: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    330: [36, 37, 38, 39, 40, 41, 42, 47, 48, 49, 50, 51, 52, 53],
+    340: [35, 36, 37, 38, 39, 40, 49, 50, 51, 52, 53],
+    350: [34, 35, 36, 37, 38, 51, 52, 53, 54],
+    360: [33, 34, 35, 36, 37, 52, 53, 54],
+    370: [32, 33, 34, 35, 52, 53, 54, 55],
+    380: [31, 32, 33, 34, 53, 54, 55],
+    390: [30, 31, 32, 33, 53, 54, 55],
+    400: [29, 30, 31, 32, 54, 55, 56],
+    410: [28, 29, 30, 31, 54, 55, 56],
+    420: [27, 28, 29, 30, 55, 56],
+    430: [26, 27, 28, 29, 55, 56, 57],
+    440: [25, 26, 27, 28, 56, 57],
+    450: [24, 25, 26, 27, 56, 57],
+    460: [23, 24, 25, 56, 57],
+    470: [22, 23, 24, 25, 56, 57, 58],
+    480: [22, 23, 24, 57, 58],
+    490: [23, 57, 58]
+  },
+  960: {
+    290: [45, 46, 47],
+    300: [42, 43, 44, 45, 46, 47, 48, 49],
+    310: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    320: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    330: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    340: [36, 37, 38, 39, 40, 41, 42, 47, 48, 49, 50, 51, 52, 53],
+    350: [35, 36, 37, 38, 39, 49, 50, 51, 52, 53],
+    360: [34, 35, 36, 37, 38, 51, 52, 53, 54],
+    370: [32, 33, 34, 35, 36, 51, 52, 53, 54],
+    380: [31, 32, 33, 34, 35, 52, 53, 54],
+    390: [30, 31, 32, 33, 34, 52, 53, 54, 55],
+    400: [30, 31, 32, 53, 54, 55],
+    410: [28, 29, 30, 31, 32, 53, 54, 55],
+    420: [27, 28, 29, 30, 54, 55, 56],
+    430: [26, 27, 28, 29, 54, 55, 56],
+    440: [25, 26, 27, 28, 55, 56],
+    450: [25, 26, 27, 55, 56, 57],
+    460: [24, 25, 26, 55, 56, 57],
+    470: [23, 24, 25, 56, 57],
+    480: [23, 24, 56, 57]
+  },
+  970: {
+    310: [42, 43, 44, 45, 46, 47, 48],
+    320: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    330: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    340: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    350: [35, 36, 37, 38, 39, 40, 41, 42, 43, 47, 48, 49, 50, 51, 52],
+    360: [34, 35, 36, 37, 38, 39, 49, 50, 51, 52, 53],
+    370: [33, 34, 35, 36, 37, 50, 51, 52, 53],
+    380: [32, 33, 34, 35, 36, 51, 52, 53, 54],
+    390: [31, 32, 33, 34, 35, 51, 52, 53, 54],
+    400: [30, 31, 32, 33, 52, 53, 54],
+    410: [29, 30, 31, 32, 53, 54, 55],
+    420: [28, 29, 30, 31, 53, 54, 55],
+    430: [27, 28, 29, 30, 54, 55],
+    440: [26, 27, 28, 29, 54, 55, 56],
+    450: [25, 26, 27, 28, 54, 55, 56],
+    460: [24, 25, 26, 27, 55, 56],
+    470: [24, 25, 26, 55, 56],
+    480: [24, 25, 55, 56],
+    490: [24]
+  },
+  980: {
+    310: [44, 45],
+    320: [41, 42, 43, 44, 45, 46, 47, 48],
+    330: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    340: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    350: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    360: [35, 36, 37, 38, 39, 40, 41, 42, 46, 47, 48, 49, 50, 51, 52],
+    370: [34, 35, 36, 37, 38, 39, 48, 49, 50, 51, 52],
+    380: [33, 34, 35, 36, 37, 49, 50, 51, 52, 53],
+    390: [32, 33, 34, 35, 50, 51, 52, 53],
+    400: [30, 31, 32, 33, 34, 51, 52, 53, 54],
+    410: [30, 31, 32, 33, 52, 53, 54],
+    420: [28, 29, 30, 31, 32, 52, 53, 54],
+    430: [28, 29, 30, 53, 54, 55],
+    440: [27, 28, 29, 30, 53, 54, 55],
+    450: [26, 27, 28, 54, 55],
+    460: [25, 26, 27, 28, 54, 55, 56],
+    470: [24, 25, 26, 54, 55, 56],
+    480: [24, 25, 26, 55],
+    490: [24, 25, 55]
+  },
+  990: {
+    320: [44, 45, 46],
+    330: [40, 41, 42, 43, 44, 45, 46, 47, 48],
+    340: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    350: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    360: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    370: [35, 36, 37, 38, 39, 40, 41, 45, 46, 47, 48, 49, 50, 51],
+    380: [33, 34, 35, 36, 37, 38, 39, 48, 49, 50, 51, 52],
+    390: [32, 33, 34, 35, 36, 37, 49, 50, 51, 52],
+    400: [31, 32, 33, 34, 35, 50, 51, 52, 53],
+    410: [30, 31, 32, 33, 34, 51, 52, 53],
+    420: [29, 30, 31, 32, 33, 51, 52, 53],
+    430: [28, 29, 30, 31, 52, 53, 54],
+    440: [27, 28, 29, 30, 52, 53, 54],
+    450: [26, 27, 28, 29, 53, 54, 55],
+    460: [25, 26, 27, 28, 53, 54, 55],
+    470: [24, 25, 26, 27, 54, 55],
+    480: [24, 25, 26, 54, 55],
+    490: [24, 25, 54, 55],
+    500: [55]
+  },
+  1000: {
+    330: [45],
+    340: [40, 41, 42, 43, 44, 45, 46, 47],
+    350: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    360: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    370: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 45, 46, 47, 48, 49, 50, 51],
+    390: [33, 34, 35, 36, 37, 38, 48, 49, 50, 51],
+    400: [32, 33, 34, 35, 36, 48, 49, 50, 51, 52],
+    410: [31, 32, 33, 34, 35, 50, 51, 52],
+    420: [30, 31, 32, 33, 50, 51, 52, 53],
+    430: [29, 30, 31, 32, 51, 52, 53],
+    440: [28, 29, 30, 31, 51, 52, 53],
+    450: [27, 28, 29, 30, 52, 53, 54],
+    460: [26, 27, 28, 29, 52, 53, 54],
+    470: [25, 26, 27, 28, 53, 54],
+    480: [25, 26, 27, 53, 54, 55],
+    490: [25, 26, 54, 55]
+  },
+  1010: {
+    350: [40, 41, 42, 43, 44, 45, 46, 47],
+    360: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    370: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    380: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    390: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    400: [33, 34, 35, 36, 37, 38, 46, 47, 48, 49, 50, 51],
+    410: [31, 32, 33, 34, 35, 36, 48, 49, 50, 51, 52],
+    420: [30, 31, 32, 33, 34, 35, 49, 50, 51, 52],
+    430: [29, 30, 31, 32, 33, 50, 51, 52],
+    440: [28, 29, 30, 31, 32, 50, 51, 52, 53],
+    450: [27, 28, 29, 30, 31, 51, 52, 53],
+    460: [26, 27, 28, 29, 30, 51, 52, 53],
+    470: [26, 27, 28, 29, 52, 53, 54],
+    480: [25, 26, 27, 28, 52, 53, 54],
+    490: [26, 53, 54]
+  },
+  1020: {
+    350: [43, 44],
+    360: [40, 41, 42, 43, 44, 45, 46],
+    370: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    380: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    390: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    400: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    410: [32, 33, 34, 35, 36, 37, 38, 46, 47, 48, 49, 50],
+    420: [31, 32, 33, 34, 35, 36, 48, 49, 50, 51],
+    430: [30, 31, 32, 33, 34, 48, 49, 50, 51, 52],
+    440: [29, 30, 31, 32, 33, 49, 50, 51, 52],
+    450: [28, 29, 30, 31, 50, 51, 52],
+    460: [27, 28, 29, 30, 31, 51, 52, 53],
+    470: [26, 27, 28, 29, 51, 52, 53],
+    480: [26, 27, 28, 52, 53]
+  },
+  1030: {
+    370: [39, 40, 41, 42, 43, 44, 45],
+    380: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    390: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    400: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 43, 44, 45, 46, 47, 48, 49],
+    420: [32, 33, 34, 35, 36, 37, 46, 47, 48, 49, 50],
+    430: [31, 32, 33, 34, 35, 36, 47, 48, 49, 50],
+    440: [30, 31, 32, 33, 34, 48, 49, 50, 51],
+    450: [29, 30, 31, 32, 33, 49, 50, 51, 52],
+    460: [28, 29, 30, 31, 50, 51, 52],
+    470: [27, 28, 29, 30, 50, 51, 52],
+    480: [28, 29, 51, 52],
+    490: [28]
+  },
+  1040: {
+    380: [40, 41, 42, 43, 44, 45],
+    390: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    400: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    410: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    420: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    430: [32, 33, 34, 35, 36, 37, 38, 45, 46, 47, 48, 49, 50],
+    440: [31, 32, 33, 34, 35, 47, 48, 49, 50],
+    450: [29, 30, 31, 32, 33, 34, 47, 48, 49, 50, 51],
+    460: [29, 30, 31, 32, 48, 49, 50, 51],
+    470: [28, 29, 30, 31, 49, 50, 51],
+    480: [28, 29, 30, 50, 51],
+    490: [28, 29, 50]
+  },
+  1050: {
+    390: [39, 40, 41, 42, 43, 44, 45],
+    400: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    410: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    420: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    440: [32, 33, 34, 35, 36, 37, 38, 45, 46, 47, 48, 49],
+    450: [30, 31, 32, 33, 34, 35, 46, 47, 48, 49, 50],
+    460: [30, 31, 32, 33, 34, 47, 48, 49, 50],
+    470: [28, 29, 30, 31, 32, 48, 49, 50],
+    480: [28, 29, 30, 31, 49, 50],
+    490: [28, 29, 30, 49, 50]
+  },
+  1060: {
+    400: [39, 40, 41, 42, 43, 44],
+    410: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    420: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    430: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    440: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    450: [31, 32, 33, 34, 35, 36, 37, 38, 43, 44, 45, 46, 47, 48, 49],
+    460: [30, 31, 32, 33, 34, 35, 45, 46, 47, 48, 49],
+    470: [29, 30, 31, 32, 33, 47, 48, 49, 50],
+    480: [29, 30, 31, 32, 47, 48, 49, 50],
+    490: [29, 30, 31, 48, 49, 50]
+  },
+  1070: {
+    410: [39, 40, 41, 42, 43, 44],
+    420: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    430: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    440: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    450: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    460: [31, 32, 33, 34, 35, 36, 37, 43, 44, 45, 46, 47, 48],
+    470: [30, 31, 32, 33, 34, 35, 45, 46, 47, 48, 49],
+    480: [30, 31, 32, 33, 34, 46, 47, 48, 49],
+    490: [47, 48, 49]
+  },
+  1080: {
+    420: [40, 41],
+    430: [37, 38, 39, 40, 41, 42, 43, 44, 45],
+    440: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    450: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    460: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    470: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    480: [31, 32, 33, 34, 35, 44, 45, 46, 47, 48],
+    490: [33, 46, 47, 48]
+  },
+  1090: {
+    430: [39, 40, 41, 42],
+    440: [37, 38, 39, 40, 41, 42, 43, 44],
+    450: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    460: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    470: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    480: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    490: [33, 34, 35, 36, 45],
+    500: [33]
+  },
+  1100: {
+    450: [36, 37, 38, 39, 40, 41, 42, 43],
+    460: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    470: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    480: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    490: [33, 34, 35, 36, 37, 38]
+  },
+  1110: {
+    460: [37, 38, 39, 40, 41, 42, 43],
+    470: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    480: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    490: [34, 35, 36, 37, 38]
+  },
+  1120: {
+    470: [37, 38, 39, 40, 41],
+    480: [37, 38, 39]
+  }
+};
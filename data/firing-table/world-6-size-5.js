@@ -0,0 +1,4683 @@
+// Firing Table Data for World 6
+// Cannonball size level 5 (radius 12.0px)
+// Generated on 2026-10-19T18:31:50.752Z
+export default {
+  0: {
+    0: [95, 96, 100, 101],
+    10: [95, 96, 100, 101, 102],
+    20: [95, 101, 102],
+    30: [95, 101, 102, 103],
+    40: [95, 101, 102, 103],
+    50: [95, 102, 103],
+    60: [95, 102, 103, 104],
+    70: [95, 102, 103, 104],
+    80: [95, 103, 104, 105],
+    90: [95, 103, 104, 105],
+    100: [95, 104, 105, 106],
+    110: [95, 104, 105, 106, 107],
+    120: [95, 105, 106, 107],
+    130: [95, 105, 106, 107, 108],
+    140: [95, 106, 107, 108],
+    150: [95, 106, 107, 108, 109],
+    160: [95, 107, 108, 109, 110],
+    170: [95, 107, 108, 109, 110],
+    180: [95, 108, 109, 110, 111],
+    190: [95, 108, 109, 110, 111, 112],
+    200: [95, 110, 111, 112, 113],
+    210: [95, 110, 111, 112, 113, 114],
+    220: [95, 111, 112, 113, 114],
+    230: [94, 95, 112, 113, 114, 115, 116],
+    240: [113, 114, 115, 116],
+    250: [94, 114, 115, 116, 117, 118],
+    260: [94, 114, 115, 116, 117, 118, 119],
+    270: [94, 117, 118, 119, 120],
+    280: [94, 117, 118, 119, 120, 121, 122],
+    290: [94, 118, 119, 120, 121, 122, 123],
+    300: [94, 120, 121, 122, 123, 124, 125],
+    310: [94, 121, 122, 123, 124, 125, 126, 127],
+    320: [94, 123, 124, 125, 126, 127, 128],
+    330: [94, 125, 126, 127, 128, 129, 130],
+    340: [94, 126, 127, 128, 129, 130, 131, 132, 133],
+    350: [94, 128, 129, 130, 131, 132, 133, 134, 135],
+    360: [94, 132, 133, 134, 135],
+    370: [94, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    380: [94, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    390: [94, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    400: [94, 144, 145, 146, 147, 148],
+    410: [94, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    420: [94, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    430: [94, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    440: [94, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    450: [94, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    460: [94, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [94, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    480: [94, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    490: [94, 180, 181, 182, 183, 184]
+  },
+  10: {
+    0: [95, 99, 100],
+    10: [95, 99, 100, 101],
+    20: [95, 100, 101],
+    30: [95, 100, 101, 102],
+    40: [95, 100, 101, 102],
+    50: [95, 101, 102],
+    60: [95, 101, 102, 103],
+    70: [95, 101, 102, 103],
+    80: [95, 102, 103, 104],
+    90: [94, 95, 102, 103, 104],
+    100: [94, 95, 103, 104, 105],
+    110: [94, 95, 103, 104, 105],
+    120: [94, 95, 103, 104, 105, 106],
+    130: [94, 104, 105, 106],
+    140: [94, 104, 105, 106, 107],
+    150: [94, 105, 106, 107],
+    160: [94, 105, 106, 107, 108],
+    170: [94, 106, 107, 108, 109],
+    180: [94, 106, 107, 108, 109, 110],
+    190: [94, 107, 108, 109, 110],
+    200: [94, 108, 109, 110, 111],
+    210: [94, 108, 109, 110, 111, 112],
+    220: [94, 109, 110, 111, 112, 113],
+    230: [94, 110, 111, 112, 113, 114],
+    240: [94, 111, 112, 113, 114],
+    250: [94, 111, 112, 113, 114, 115, 116],
+    260: [94, 113, 114, 115, 116, 117],
+    270: [94, 114, 115, 116, 117, 118, 119],
+    280: [94, 115, 116, 117, 118, 119, 120],
+    290: [94, 117, 118, 119, 120],
+    300: [94, 117, 118, 119, 120, 121, 122, 123],
+    310: [94, 119, 120, 121, 122, 123, 124, 125],
+    320: [94, 122, 123, 124, 125],
+    330: [94, 122, 123, 124, 125, 126, 127, 128, 129],
+    340: [94, 124, 125, 126, 127, 128, 129, 130, 131],
+    350: [94, 127, 128, 129, 130, 131],
+    360: [94, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    370: [94, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    380: [94, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    390: [94, 140, 141, 142, 143],
+    400: [94, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    410: [94, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    420: [94, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    430: [94, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    440: [94, 157, 158, 159, 160, 161, 162, 163, 164],
+    450: [94],
+    460: [94, 168, 169, 170, 171, 172, 173, 174],
+    470: [94, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    480: [94, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [94, 183, 184, 185, 186]
+  },
+  20: {
+    0: [94, 95, 98, 99, 100],
+    10: [94, 95, 98, 99, 100],
+    20: [94, 95, 99, 100],
+    30: [94, 95, 99, 100, 101],
+    40: [94, 99, 100, 101],
+    50: [94, 100, 101],
+    60: [94, 100, 101, 102],
+    70: [94, 100, 101, 102],
+    80: [94, 101, 102, 103],
+    90: [94, 101, 102, 103],
+    100: [94, 101, 102, 103, 104],
+    110: [94, 102, 103, 104],
+    120: [94, 102, 103, 104, 105],
+    130: [94, 103, 104, 105],
+    140: [94, 103, 104, 105, 106],
+    150: [94, 104, 105, 106],
+    160: [94, 104, 105, 106, 107],
+    170: [94, 105, 106, 107],
+    180: [94, 105, 106, 107, 108],
+    190: [94, 106, 107, 108],
+    200: [94, 106, 107, 108, 109, 110],
+    210: [94, 107, 108, 109, 110],
+    220: [94, 107, 108, 109, 110, 111],
+    230: [94, 108, 109, 110, 111, 112],
+    240: [94, 109, 110, 111, 112, 113],
+    250: [94, 109, 110, 111, 112, 113, 114],
+    260: [94, 111, 112, 113, 114],
+    270: [94, 111, 112, 113, 114, 115, 116, 117],
+    280: [94, 113, 114, 115, 116, 117, 118],
+    290: [94, 114, 115, 116, 117, 118, 119],
+    300: [94, 115, 116, 117, 118, 119, 120, 121],
+    310: [94, 117, 118, 119, 120, 121, 122],
+    320: [94, 118, 119, 120, 121, 122, 123, 124],
+    330: [94, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    340: [122, 123, 124, 125, 126, 127],
+    350: [94, 124, 125, 126, 127, 128, 129, 130, 131],
+    360: [125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    370: [94, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    380: [133, 134, 135, 136, 137, 138],
+    390: [133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    400: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    410: [93, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    420: [147, 148, 149, 150, 151, 152],
+    430: [93, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    440: [154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [93, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    460: [93, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [93, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [180, 181, 182, 183, 184, 185, 186],
+    500: [186]
+  },
+  30: {
+    0: [94, 97, 98, 99],
+    10: [94, 98, 99],
+    20: [94, 98, 99],
+    30: [94, 98, 99, 100],
+    40: [94, 98, 99, 100],
+    50: [94, 99, 100],
+    60: [94, 99, 100, 101],
+    70: [94, 99, 100, 101],
+    80: [94, 100, 101, 102],
+    90: [94, 100, 101, 102],
+    100: [94, 100, 101, 102, 103],
+    110: [94, 100, 101, 102, 103],
+    120: [94, 101, 102, 103],
+    130: [94, 101, 102, 103, 104],
+    140: [94, 101, 102, 103, 104],
+    150: [94, 102, 103, 104, 105],
+    160: [93, 94, 102, 103, 104, 105],
+    170: [103, 104, 105, 106],
+    180: [93, 94, 103, 104, 105, 106, 107],
+    190: [93, 104, 105, 106, 107],
+    200: [93, 104, 105, 106, 107, 108],
+    210: [93, 106, 107, 108],
+    220: [93, 105, 106, 107, 108, 109, 110],
+    230: [93, 107, 108, 109, 110],
+    240: [93, 107, 108, 109, 110, 111, 112],
+    250: [93, 108, 109, 110, 111, 112],
+    260: [93, 109, 110, 111, 112, 113],
+    270: [93, 109, 110, 111, 112, 113, 114, 115],
+    280: [93, 111, 112, 113, 114, 115],
+    290: [93, 111, 112, 113, 114, 115, 116, 117],
+    300: [93, 112, 113, 114, 115, 116, 117, 118, 119],
+    310: [93, 115, 116, 117, 118, 119],
+    320: [93, 115, 116, 117, 118, 119, 120, 121, 122],
+    330: [93, 117, 118, 119, 120, 121, 122, 123, 124],
+    340: [93, 120, 121, 122, 123, 124, 125],
+    350: [93, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    360: [93, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    370: [93, 128, 129, 130, 131],
+    380: [93, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    390: [93, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    400: [93, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    410: [93, 141, 142, 143, 144, 145, 146],
+    420: [93, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    430: [93, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    440: [93, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    450: [93, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    460: [93, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [93, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    480: [93, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [93, 182, 183, 184, 185, 186]
+  },
+  40: {
+    0: [94, 96, 97, 98],
+    10: [93, 94, 97, 98],
+    20: [93, 94, 97, 98],
+    30: [93, 94, 97, 98, 99],
+    40: [93, 94, 97, 98, 99],
+    50: [93, 94, 98, 99],
+    60: [93, 98, 99, 100],
+    70: [93, 98, 99, 100],
+    80: [93, 98, 99, 100, 101],
+    90: [93, 99, 100, 101],
+    100: [93, 99, 100, 101],
+    110: [93, 99, 100, 101],
+    120: [93, 99, 100, 101, 102],
+    130: [93, 100, 101, 102],
+    140: [93, 100, 101, 102, 103],
+    150: [93, 101, 102, 103, 104],
+    160: [93, 101, 102, 103, 104],
+    170: [93, 101, 102, 103, 104, 105],
+    180: [93, 102, 103, 104, 105],
+    190: [93, 102, 103, 104, 105, 106],
+    200: [93, 103, 104, 105, 106],
+    210: [93, 103, 104, 105, 106, 107],
+    220: [93, 104, 105, 106, 107, 108],
+    230: [93, 105, 106, 107, 108],
+    240: [93, 105, 106, 107, 108, 109, 110],
+    250: [93, 106, 107, 108, 109, 110],
+    260: [93, 106, 107, 108, 109, 110, 111, 112],
+    270: [93, 107, 108, 109, 110, 111, 112],
+    280: [93, 109, 110, 111, 112, 113],
+    290: [93, 109, 110, 111, 112, 113, 114, 115],
+    300: [93, 111, 112, 113, 114, 115],
+    310: [93, 111, 112, 113, 114, 115, 116, 117, 118],
+    320: [93, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    330: [93, 115, 116, 117, 118, 119],
+    340: [93, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    350: [93, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    360: [93, 121, 122, 123, 124, 125, 126],
+    370: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    380: [93, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    390: [93, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    400: [93, 133, 134, 135, 136, 137, 138, 139, 140],
+    410: [93, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    420: [93, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    430: [93, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    440: [93, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    450: [93],
+    460: [93, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    470: [93, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [93, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190],
+    490: [185, 186, 187, 188, 189, 190]
+  },
+  50: {
+    0: [93, 96, 97],
+    10: [93, 96, 97],
+    20: [93, 96, 97],
+    30: [93, 96, 97, 98],
+    40: [93, 96, 97, 98],
+    50: [93, 97, 98],
+    60: [93, 97, 98, 99],
+    70: [93, 97, 98, 99],
+    80: [93, 97, 98, 99],
+    90: [93, 97, 98, 99],
+    100: [93, 98, 99, 100],
+    110: [93, 98, 99, 100],
+    120: [93, 98, 99, 100, 101],
+    130: [93, 99, 100, 101],
+    140: [93, 99, 100, 101],
+    150: [93, 99, 100, 101, 102],
+    160: [93, 99, 100, 101, 102],
+    170: [93, 100, 101, 102, 103],
+    180: [93, 100, 101, 102, 103],
+    190: [93, 100, 101, 102, 103, 104],
+    200: [93, 101, 102, 103, 104],
+    210: [93, 101, 102, 103, 104, 105],
+    220: [93, 102, 103, 104, 105, 106],
+    230: [93, 103, 104, 105, 106, 107],
+    240: [93, 103, 104, 105, 106, 107, 108],
+    250: [93, 105, 106, 107, 108],
+    260: [93, 104, 105, 106, 107, 108, 109, 110],
+    270: [93, 105, 106, 107, 108, 109, 110],
+    280: [93, 106, 107, 108, 109, 110, 111],
+    290: [93, 106, 107, 108, 109, 110, 111, 112, 113],
+    300: [93, 109, 110, 111, 112],
+    310: [93, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    320: [110, 111, 112, 113, 114, 115, 116],
+    330: [112, 113, 114, 115, 116, 117, 118],
+    340: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    350: [114, 115, 116, 117, 118, 119, 120, 121, 122],
+    360: [117, 118, 119, 120, 121, 122, 123, 124],
+    370: [92, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    380: [120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    390: [92, 126, 127, 128, 129, 130, 131, 132],
+    400: [125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    410: [92, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    420: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    430: [92, 146, 147, 148],
+    440: [145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    450: [92, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [92, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [92, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    480: [92, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190],
+    490: [181, 182, 183, 184, 185, 186, 187, 188, 189, 190],
+    500: [189, 190]
+  },
+  60: {
+    0: [93, 95, 96],
+    10: [93, 95, 96],
+    20: [93, 95, 96, 97],
+    30: [93, 95, 96, 97],
+    40: [93, 95, 96, 97],
+    50: [92, 93, 95, 96, 97],
+    60: [92, 93, 96, 97, 98],
+    70: [92, 93, 96, 97, 98],
+    80: [92, 93, 96, 97, 98],
+    90: [92, 93, 96, 97, 98],
+    100: [92, 93, 96, 97, 98, 99],
+    110: [92, 97, 98, 99],
+    120: [92, 97, 98, 99],
+    130: [92, 97, 98, 99, 100],
+    140: [92, 97, 98, 99, 100],
+    150: [92, 97, 98, 99, 100, 101],
+    160: [92, 98, 99, 100, 101],
+    170: [92, 98, 99, 100, 101, 102],
+    180: [92, 99, 100, 101],
+    190: [92, 99, 100, 101, 102, 103],
+    200: [92, 99, 100, 101, 102],
+    210: [92, 99, 100, 101, 102, 103, 104],
+    220: [92, 100, 101, 102, 103, 104],
+    230: [92, 100, 101, 102, 103, 104, 105],
+    240: [92, 101, 102, 103, 104, 105],
+    250: [92, 102, 103, 104, 105, 106],
+    260: [92, 102, 103, 104, 105, 106, 107],
+    270: [92, 103, 104, 105, 106, 107],
+    280: [92, 103, 104, 105, 106, 107, 108, 109],
+    290: [92, 104, 105, 106, 107, 108, 109, 110],
+    300: [92, 105, 106, 107, 108, 109, 110, 111],
+    310: [92, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    320: [92, 108, 109, 110, 111, 112, 113],
+    330: [92, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    340: [92, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    350: [92, 113, 114, 115, 116],
+    360: [92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    370: [92, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    380: [92, 119, 120, 121, 122, 123, 124],
+    390: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    400: [92, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    410: [92, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    420: [92, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    430: [92, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    440: [92, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    450: [92, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    460: [92, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [92, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [92, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190],
+    490: [92, 184, 185, 186, 187, 188, 189, 190]
+  },
+  70: {
+    0: [92, 94, 95],
+    10: [92, 94, 95],
+    20: [92, 94, 95, 96],
+    30: [92, 94, 95, 96],
+    40: [92, 94, 95, 96],
+    50: [92, 94, 95, 96],
+    60: [92, 95, 96, 97],
+    70: [92, 95, 96, 97],
+    80: [92, 95, 96, 97],
+    90: [92, 95, 96, 97],
+    100: [92, 95, 96, 97, 98],
+    110: [92, 95, 96, 97, 98],
+    120: [92, 96, 97, 98],
+    130: [92, 96, 97, 98, 99],
+    140: [92, 96, 97, 98],
+    150: [92, 96, 97, 98, 99],
+    160: [92, 97, 98, 99],
+    170: [92, 96, 97, 98, 99, 100],
+    180: [92, 97, 98, 99, 100],
+    190: [92, 97, 98, 99, 100, 101],
+    200: [92, 98, 99, 100, 101],
+    210: [92, 97, 98, 99, 100, 101, 102],
+    220: [92, 98, 99, 100, 101, 102],
+    230: [92, 98, 99, 100, 101, 102, 103],
+    240: [92, 99, 100, 101, 102, 103],
+    250: [92, 99, 100, 101, 102, 103, 104],
+    260: [92, 99, 100, 101, 102, 103, 104, 105],
+    270: [92, 101, 102, 103, 104, 105],
+    280: [92, 100, 101, 102, 103, 104, 105, 106, 107],
+    290: [92, 102, 103, 104, 105, 106, 107],
+    300: [92, 102, 103, 104, 105, 106, 107, 108, 109],
+    310: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    320: [92, 105, 106, 107, 108, 109],
+    330: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    340: [92, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    350: [92, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    360: [92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    370: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    380: [92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    390: [92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    400: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    410: [92, 124, 125, 126, 127, 128, 129, 130, 131],
+    420: [92, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    430: [92, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    440: [92, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    450: [92, 150, 151, 152, 153, 154, 155, 156],
+    460: [92],
+    470: [92],
+    480: [92]
+  },
+  80: {
+    0: [92, 93, 94],
+    10: [92, 93, 94, 95],
+    20: [92, 93, 94, 95],
+    30: [92, 93, 94, 95],
+    40: [92, 93, 94, 95],
+    50: [92, 93, 94, 95],
+    60: [92, 94, 95],
+    70: [92, 94, 95, 96],
+    80: [92, 94, 95, 96],
+    90: [92, 94, 95, 96],
+    100: [92, 94, 95, 96],
+    110: [92, 94, 95, 96, 97],
+    120: [92, 94, 95, 96, 97],
+    130: [92, 94, 95, 96, 97],
+    140: [92, 95, 96, 97],
+    150: [92, 94, 95, 96, 97, 98],
+    160: [92, 95, 96, 97, 98],
+    170: [92, 95, 96, 97, 98],
+    180: [92, 95, 96, 97, 98],
+    190: [92, 95, 96, 97, 98, 99],
+    200: [96, 97, 98, 99],
+    210: [91, 92, 96, 97, 98, 99, 100],
+    220: [97, 98, 99],
+    230: [91, 92, 96, 97, 98, 99, 100, 101],
+    240: [97, 98, 99, 100, 101],
+    250: [91, 97, 98, 99, 100, 101, 102],
+    260: [91, 97, 98, 99, 100, 101, 102],
+    270: [98, 99, 100, 101, 102, 103],
+    280: [91, 98, 99, 100, 101, 102, 103, 104],
+    290: [100, 101, 102, 103],
+    300: [91, 99, 100, 101, 102, 103, 104, 105, 106],
+    310: [99, 100, 101, 102, 103, 104, 105, 106],
+    320: [91, 101, 102, 103, 104, 105, 106, 107],
+    330: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    340: [91, 103, 104, 105, 106, 107, 108, 109],
+    350: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    360: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    370: [91, 107, 108, 109, 110, 111, 112, 113],
+    380: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    390: [91, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    400: [91, 114, 115, 116, 117, 118, 119, 120, 121],
+    410: [91, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    420: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    430: [91, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91]
+  },
+  90: {
+    0: [91, 92, 93],
+    10: [91, 92, 93, 94],
+    20: [91, 92, 93, 94],
+    30: [91, 92, 93, 94],
+    40: [91, 92, 93, 94],
+    50: [91, 92, 93, 94],
+    60: [91, 92, 93, 94],
+    70: [91, 92, 93, 94],
+    80: [91, 92, 93, 94, 95],
+    90: [91, 93, 94, 95],
+    100: [91, 93, 94, 95],
+    110: [91, 93, 94, 95],
+    120: [91, 93, 94, 95],
+    130: [91, 93, 94, 95, 96],
+    140: [91, 93, 94, 95, 96],
+    150: [91, 93, 94, 95, 96],
+    160: [91, 93, 94, 95, 96],
+    170: [91, 93, 94, 95, 96, 97],
+    180: [91, 94, 95, 96, 97],
+    190: [91, 93, 94, 95, 96, 97],
+    200: [91, 94, 95, 96, 97],
+    210: [91, 94, 95, 96, 97, 98],
+    220: [91, 95, 96, 97, 98],
+    230: [91, 94, 95, 96, 97, 98, 99],
+    240: [91, 95, 96, 97, 98],
+    250: [91, 94, 95, 96, 97, 98, 99, 100],
+    260: [91, 95, 96, 97, 98, 99, 100],
+    270: [91, 95, 96, 97, 98, 99, 100, 101],
+    280: [91, 95, 96, 97, 98, 99, 100, 101],
+    290: [91, 97, 98, 99, 100, 101],
+    300: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    310: [91, 97, 98, 99, 100, 101, 102, 103],
+    320: [91, 97, 98, 99, 100, 101, 102, 103, 104],
+    330: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    340: [91, 100, 101, 102, 103, 104],
+    350: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    360: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    370: [91, 102, 103, 104, 105, 106, 107, 108, 109],
+    380: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    390: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    400: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    410: [91, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    420: [91, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    430: [91],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  100: {
+    0: [91, 92, 93],
+    10: [91, 92, 93],
+    20: [91, 92, 93],
+    30: [91, 92, 93],
+    40: [91, 92, 93],
+    50: [91, 92, 93],
+    60: [91, 92, 93],
+    70: [91, 92, 93],
+    80: [91, 92, 93, 94],
+    90: [91, 92, 93, 94],
+    100: [91, 92, 93, 94],
+    110: [91, 92, 93, 94],
+    120: [91, 92, 93, 94],
+    130: [91, 92, 93, 94],
+    140: [91, 92, 93, 94],
+    150: [91, 92, 93, 94, 95],
+    160: [91, 92, 93, 94, 95],
+    170: [91, 92, 93, 94, 95],
+    180: [91, 92, 93, 94, 95],
+    190: [91, 92, 93, 94, 95],
+    200: [91, 92, 93, 94, 95, 96],
+    210: [91, 92, 93, 94, 95, 96],
+    220: [91, 92, 93, 94, 95, 96],
+    230: [91, 92, 93, 94, 95, 96, 97],
+    240: [91, 93, 94, 95, 96],
+    250: [91, 92, 93, 94, 95, 96, 97],
+    260: [91, 93, 94, 95, 96, 97],
+    270: [91, 92, 93, 94, 95, 96, 97, 98],
+    280: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    290: [91, 93, 94, 95, 96, 97, 98],
+    300: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    310: [91, 94, 95, 96, 97, 98, 99],
+    320: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    330: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    340: [91, 96, 97, 98, 99, 100, 101],
+    350: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    360: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    370: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    380: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    390: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    400: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    410: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    420: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    430: [91],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91]
+  },
+  110: {
+    0: [90, 91, 92],
+    10: [90, 91, 92],
+    20: [90, 91, 92],
+    30: [90, 91, 92],
+    40: [90, 91, 92],
+    50: [90, 91, 92],
+    60: [90, 91, 92],
+    70: [90, 91, 92],
+    80: [90, 91, 92],
+    90: [90, 91, 92],
+    100: [90, 91, 92],
+    110: [90, 91, 92, 93],
+    120: [90, 91, 92],
+    130: [90, 91, 92, 93],
+    140: [90, 91, 92, 93],
+    150: [90, 91, 92, 93],
+    160: [90, 91, 92, 93],
+    170: [90, 91, 92, 93],
+    180: [90, 91, 92, 93],
+    190: [90, 91, 92, 93, 94],
+    200: [90, 91, 92, 93, 94],
+    210: [90, 91, 92, 93, 94],
+    220: [90, 91, 92, 93, 94],
+    230: [90, 91, 92, 93, 94, 95],
+    240: [90, 91, 92, 93, 94],
+    250: [90, 91, 92, 93, 94, 95],
+    260: [90, 91, 92, 93, 94, 95],
+    270: [90, 91, 92, 93, 94, 95, 96],
+    280: [90, 91, 92, 93, 94, 95, 96],
+    290: [90, 91, 92, 93, 94, 95, 96],
+    300: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    310: [90, 91, 92, 93, 94, 95, 96],
+    320: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    330: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    340: [90, 91, 92, 93, 94, 95, 96, 97],
+    350: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    360: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    370: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    380: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    390: [90, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    400: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    410: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    420: [96, 97, 98, 99, 100, 101, 102, 103, 104],
+    430: [90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90]
+  },
+  120: {
+    0: [89, 90, 91],
+    10: [89, 90, 91],
+    20: [89, 90, 91],
+    30: [89, 90, 91],
+    40: [89, 90, 91],
+    50: [89, 90, 91],
+    60: [89, 90, 91],
+    70: [89, 90, 91],
+    80: [89, 90, 91],
+    90: [89, 90, 91],
+    100: [89, 90, 91],
+    110: [89, 90, 91],
+    120: [89, 90, 91],
+    130: [89, 90, 91],
+    140: [89, 90, 91],
+    150: [88, 89, 90, 91, 92],
+    160: [88, 89, 90, 91, 92],
+    170: [88, 89, 90, 91, 92],
+    180: [88, 89, 90, 91, 92],
+    190: [88, 89, 90, 91, 92],
+    200: [88, 89, 90, 91, 92],
+    210: [88, 89, 90, 91, 92],
+    220: [88, 89, 90, 91, 92],
+    230: [88, 89, 90, 91, 92],
+    240: [89, 90, 91],
+    250: [87, 88, 89, 90, 91, 92, 93],
+    260: [88, 89, 90, 91, 92],
+    270: [87, 88, 89, 90, 91, 92, 93],
+    280: [87, 88, 89, 90, 91, 92, 93],
+    290: [87, 88, 89, 90, 91, 92, 93],
+    300: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    310: [88, 89, 90, 91, 92],
+    320: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    330: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    340: [87, 88, 89, 90, 91, 92, 93],
+    350: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    360: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    370: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    380: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    390: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    400: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    410: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    420: [90],
+    430: [90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90],
+    490: [90]
+  },
+  130: {
+    0: [88, 89, 90],
+    10: [88, 89, 90],
+    20: [88, 89, 90],
+    30: [88, 89, 90],
+    40: [88, 89, 90],
+    50: [88, 89, 90],
+    60: [88, 89, 90],
+    70: [88, 89, 90],
+    80: [88, 89, 90],
+    90: [88, 89, 90],
+    100: [88, 89, 90],
+    110: [87, 88, 89, 90],
+    120: [88, 89, 90],
+    130: [87, 88, 89, 90],
+    140: [87, 88, 89, 90],
+    150: [87, 88, 89, 90],
+    160: [87, 88, 89, 90],
+    170: [87, 88, 89, 90],
+    180: [87, 88, 89, 90],
+    190: [86, 87, 88, 89, 90],
+    200: [86, 87, 88, 89, 90],
+    210: [86, 87, 88, 89, 90],
+    220: [86, 87, 88, 89, 90],
+    230: [85, 86, 87, 88, 89, 90],
+    240: [86, 87, 88, 89, 90],
+    250: [85, 86, 87, 88, 89, 90],
+    260: [85, 86, 87, 88, 89, 90],
+    270: [84, 85, 86, 87, 88, 89, 90],
+    280: [84, 85, 86, 87, 88, 89, 90],
+    290: [84, 85, 86, 87, 88, 89, 90],
+    300: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    310: [84, 85, 86, 87, 88, 89, 90],
+    320: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    330: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    340: [83, 84, 85, 86, 87, 88, 89, 90],
+    350: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    360: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
+    370: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
+    380: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    390: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 90],
+    400: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    410: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    420: [76, 77, 78, 79, 80, 81, 82, 83, 84],
+    430: [90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90]
+  },
+  140: {
+    0: [87, 88, 89],
+    10: [87, 88, 89],
+    20: [87, 88, 89],
+    30: [87, 88, 89],
+    40: [87, 88, 89],
+    50: [87, 88, 89],
+    60: [87, 88, 89],
+    70: [87, 88, 89],
+    80: [86, 87, 88, 89],
+    90: [86, 87, 88, 89],
+    100: [86, 87, 88, 89],
+    110: [86, 87, 88, 89],
+    120: [86, 87, 88, 89],
+    130: [86, 87, 88, 89],
+    140: [86, 87, 88, 89],
+    150: [85, 86, 87, 88, 89],
+    160: [85, 86, 87, 88, 89],
+    170: [85, 86, 87, 88, 89],
+    180: [85, 86, 87, 88, 89],
+    190: [85, 86, 87, 88, 89],
+    200: [84, 85, 86, 87, 88, 89],
+    210: [84, 85, 86, 87, 88, 89],
+    220: [84, 85, 86, 87, 88, 89],
+    230: [83, 84, 85, 86, 87, 88, 89],
+    240: [84, 85, 86, 87, 89],
+    250: [83, 84, 85, 86, 87, 88, 89],
+    260: [83, 84, 85, 86, 87, 89],
+    270: [82, 83, 84, 85, 86, 87, 88, 89],
+    280: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    290: [82, 83, 84, 85, 86, 87, 89],
+    300: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    310: [81, 82, 83, 84, 85, 86, 89],
+    320: [79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    330: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    340: [79, 80, 81, 82, 83, 84, 89],
+    350: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    360: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    370: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    380: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    390: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    400: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    410: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    420: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
+    430: [89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89]
+  },
+  150: {
+    0: [87, 88, 89],
+    10: [86, 87, 88, 89],
+    20: [86, 87, 88, 89],
+    30: [86, 87, 88, 89],
+    40: [86, 87, 88, 89],
+    50: [86, 87, 88, 89],
+    60: [86, 87, 88, 89],
+    70: [86, 87, 88, 89],
+    80: [85, 86, 87, 88, 89],
+    90: [85, 86, 87, 89],
+    100: [85, 86, 87, 89],
+    110: [85, 86, 87, 89],
+    120: [85, 86, 87, 89],
+    130: [84, 85, 86, 87, 89],
+    140: [84, 85, 86, 87, 89],
+    150: [84, 85, 86, 87, 89],
+    160: [84, 85, 86, 87, 89],
+    170: [83, 84, 85, 86, 87, 89],
+    180: [83, 84, 85, 86, 89],
+    190: [83, 84, 85, 86, 87, 89],
+    200: [83, 84, 85, 86, 89],
+    210: [82, 83, 84, 85, 86, 89],
+    220: [82, 83, 84, 85, 89],
+    230: [81, 82, 83, 84, 85, 86, 89],
+    240: [82, 83, 84, 85, 89],
+    250: [80, 81, 82, 83, 84, 85, 86, 89],
+    260: [80, 81, 82, 83, 84, 85, 89],
+    270: [79, 80, 81, 82, 83, 84, 85, 89],
+    280: [79, 80, 81, 82, 83, 84, 85, 89],
+    290: [79, 80, 81, 82, 83, 89],
+    300: [77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    310: [77, 78, 79, 80, 81, 82, 83, 89],
+    320: [76, 77, 78, 79, 80, 81, 82, 83, 89],
+    330: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    340: [76, 77, 78, 79, 80, 89],
+    350: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    360: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    370: [71, 72, 73, 74, 75, 76, 77, 78, 89],
+    380: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    390: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    400: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    410: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 89],
+    420: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 89],
+    430: [89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  160: {
+    0: [86, 87, 88],
+    10: [85, 86, 87, 88],
+    20: [85, 86, 87, 88],
+    30: [85, 86, 87, 88],
+    40: [85, 86, 87, 88],
+    50: [85, 86, 87, 88],
+    60: [85, 86, 88],
+    70: [84, 85, 86, 88],
+    80: [84, 85, 86, 88],
+    90: [84, 85, 86, 88],
+    100: [84, 85, 86, 88],
+    110: [83, 84, 85, 86, 88],
+    120: [83, 84, 85, 86, 88],
+    130: [83, 84, 85, 86, 88],
+    140: [83, 84, 85, 88],
+    150: [82, 83, 84, 85, 86, 88],
+    160: [82, 83, 84, 85, 88],
+    170: [82, 83, 84, 85, 88],
+    180: [82, 83, 84, 85, 88],
+    190: [81, 82, 83, 84, 85, 88],
+    200: [81, 82, 83, 84],
+    210: [80, 81, 82, 83, 84, 88, 89],
+    220: [81, 82, 83],
+    230: [79, 80, 81, 82, 83, 84, 88, 89],
+    240: [79, 80, 81, 82, 83],
+    250: [78, 79, 80, 81, 82, 83, 89],
+    260: [78, 79, 80, 81, 82, 83, 89],
+    270: [77, 78, 79, 80, 81, 82],
+    280: [76, 77, 78, 79, 80, 81, 82, 89],
+    290: [77, 78, 79, 80],
+    300: [74, 75, 76, 77, 78, 79, 80, 81, 89],
+    310: [74, 75, 76, 77, 78, 79, 80, 81],
+    320: [73, 74, 75, 76, 77, 78, 79, 89],
+    330: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    340: [71, 72, 73, 74, 75, 76, 77, 89],
+    350: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    360: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    370: [67, 68, 69, 70, 71, 72, 73, 89],
+    380: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    390: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 89],
+    400: [59, 60, 61, 62, 63, 64, 65, 66, 89],
+    410: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 89],
+    420: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    430: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89]
+  },
+  170: {
+    0: [85, 86, 88],
+    10: [85, 86, 88],
+    20: [84, 85, 86, 88],
+    30: [84, 85, 86, 88],
+    40: [84, 85, 86, 88],
+    50: [84, 85, 86, 88],
+    60: [83, 84, 85, 88],
+    70: [83, 84, 85, 88],
+    80: [83, 84, 85, 88],
+    90: [83, 84, 85, 88],
+    100: [82, 83, 84, 85, 88],
+    110: [82, 83, 84, 85, 88],
+    120: [82, 83, 84, 88],
+    130: [81, 82, 83, 84, 88],
+    140: [82, 83, 84, 88],
+    150: [81, 82, 83, 84, 88],
+    160: [81, 82, 83, 88],
+    170: [80, 81, 82, 83, 84, 88],
+    180: [80, 81, 82, 83, 88],
+    190: [79, 80, 81, 82, 83, 88],
+    200: [79, 80, 81, 82, 88],
+    210: [78, 79, 80, 81, 82, 83, 88],
+    220: [78, 79, 80, 81, 82, 88],
+    230: [77, 78, 79, 80, 81, 82, 88],
+    240: [77, 78, 79, 80, 81, 88],
+    250: [76, 77, 78, 79, 80, 81, 88],
+    260: [75, 76, 77, 78, 79, 80, 81, 88],
+    270: [75, 76, 77, 78, 79, 88],
+    280: [73, 74, 75, 76, 77, 78, 79, 80, 88],
+    290: [73, 74, 75, 76, 77, 78, 88],
+    300: [71, 72, 73, 74, 75, 76, 77, 78, 88],
+    310: [70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    320: [71, 72, 73, 74, 75, 88],
+    330: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    340: [67, 68, 69, 70, 71, 72, 73, 74, 75, 88],
+    350: [65, 66, 67, 68, 69, 70, 71, 72, 73, 88],
+    360: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88],
+    370: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    380: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88],
+    390: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88],
+    400: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    410: [49, 50, 51, 52, 53, 54, 55, 56, 88],
+    420: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 88],
+    430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 88],
+    440: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 88],
+    450: [24, 25, 26, 27, 28, 29, 30, 88],
+    460: [88],
+    470: [88],
+    480: [88]
+  },
+  180: {
+    0: [84, 85, 87],
+    10: [84, 85, 87],
+    20: [83, 84, 85, 87],
+    30: [83, 84, 85, 87],
+    40: [83, 84, 85, 87],
+    50: [83, 84, 85, 87, 88],
+    60: [82, 83, 84, 87, 88],
+    70: [82, 83, 84, 87, 88],
+    80: [82, 83, 84, 87, 88],
+    90: [82, 83, 84, 87, 88],
+    100: [81, 82, 83, 84, 87, 88],
+    110: [81, 82, 83, 88],
+    120: [81, 82, 83, 88],
+    130: [80, 81, 82, 83, 88],
+    140: [80, 81, 82, 83, 88],
+    150: [79, 80, 81, 82, 83, 88],
+    160: [79, 80, 81, 82, 88],
+    170: [78, 79, 80, 81, 82, 88],
+    180: [79, 80, 81, 88],
+    190: [77, 78, 79, 80, 81, 88],
+    200: [78, 79, 80, 81, 88],
+    210: [76, 77, 78, 79, 80, 81, 88],
+    220: [76, 77, 78, 79, 80, 88],
+    230: [75, 76, 77, 78, 79, 80, 88],
+    240: [75, 76, 77, 78, 79, 88],
+    250: [74, 75, 76, 77, 78, 88],
+    260: [73, 74, 75, 76, 77, 78, 88],
+    270: [73, 74, 75, 76, 77, 88],
+    280: [71, 72, 73, 74, 75, 76, 77, 88],
+    290: [70, 71, 72, 73, 74, 75, 76, 88],
+    300: [69, 70, 71, 72, 73, 74, 75, 88],
+    310: [67, 68, 69, 70, 71, 72, 73, 74, 75, 88],
+    320: [67, 68, 69, 70, 71, 72, 88],
+    330: [64, 65, 66, 67, 68, 69, 70, 71, 72, 88],
+    340: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 88],
+    350: [64, 65, 66, 67, 88],
+    360: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88],
+    370: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 88],
+    380: [56, 57, 58, 59, 60, 61, 88],
+    390: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    400: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 88],
+    410: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 88],
+    420: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 88],
+    430: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 88],
+    440: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 88],
+    450: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 88],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 88, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 88, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [88, 350, 351, 352, 353, 354, 355, 356]
+  },
+  190: {
+    0: [83, 84, 87],
+    10: [83, 84, 87],
+    20: [83, 84, 87],
+    30: [82, 83, 84, 87],
+    40: [82, 83, 84, 87],
+    50: [82, 83, 87],
+    60: [81, 82, 83, 87],
+    70: [81, 82, 83, 87],
+    80: [81, 82, 83, 87],
+    90: [81, 82, 83, 87],
+    100: [80, 81, 82, 87],
+    110: [80, 81, 82, 87],
+    120: [79, 80, 81, 82, 87],
+    130: [79, 80, 81, 87],
+    140: [79, 80, 81, 87],
+    150: [78, 79, 80, 81, 87],
+    160: [78, 79, 80, 81, 87],
+    170: [77, 78, 79, 80, 87],
+    180: [77, 78, 79, 80, 87],
+    190: [76, 77, 78, 79, 80, 87],
+    200: [76, 77, 78, 79, 87],
+    210: [75, 76, 77, 78, 79, 87],
+    220: [74, 75, 76, 77, 78, 87],
+    230: [73, 74, 75, 76, 77, 87],
+    240: [72, 73, 74, 75, 76, 77, 87],
+    250: [72, 73, 74, 75, 87],
+    260: [70, 71, 72, 73, 74, 75, 76, 87],
+    270: [70, 71, 72, 73, 74, 75, 87],
+    280: [69, 70, 71, 72, 73, 74, 87],
+    290: [67, 68, 69, 70, 71, 72, 73, 74, 87],
+    300: [68, 69, 70, 71, 87],
+    310: [64, 65, 66, 67, 68, 69, 70, 71, 72, 87],
+    320: [64, 65, 66, 67, 68, 69, 70],
+    330: [62, 63, 64, 65, 66, 67, 68],
+    340: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    350: [58, 59, 60, 61, 62, 63, 64, 65, 66],
+    360: [56, 57, 58, 59, 60, 61, 62, 63],
+    370: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 88],
+    380: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    390: [48, 49, 50, 51, 52, 53, 54, 88],
+    400: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    410: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 88],
+    420: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    430: [32, 33, 34, 88],
+    440: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 88],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 88, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 88, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [350, 351]
+  },
+  200: {
+    0: [82, 83, 84, 86],
+    10: [82, 83, 86, 87],
+    20: [82, 83, 86, 87],
+    30: [81, 82, 83, 86, 87],
+    40: [81, 82, 83, 86, 87],
+    50: [81, 82, 86, 87],
+    60: [80, 81, 82, 87],
+    70: [80, 81, 82, 87],
+    80: [79, 80, 81, 82, 87],
+    90: [79, 80, 81, 87],
+    100: [79, 80, 81, 87],
+    110: [79, 80, 81, 87],
+    120: [78, 79, 80, 81, 87],
+    130: [78, 79, 80, 87],
+    140: [77, 78, 79, 80, 87],
+    150: [76, 77, 78, 79, 87],
+    160: [76, 77, 78, 79, 87],
+    170: [75, 76, 77, 78, 79, 87],
+    180: [75, 76, 77, 78, 87],
+    190: [74, 75, 76, 77, 78, 87],
+    200: [74, 75, 76, 77, 87],
+    210: [73, 74, 75, 76, 77, 87],
+    220: [72, 73, 74, 75, 76, 87],
+    230: [72, 73, 74, 75, 87],
+    240: [70, 71, 72, 73, 74, 75, 87],
+    250: [70, 71, 72, 73, 74, 87],
+    260: [68, 69, 70, 71, 72, 73, 74, 87],
+    270: [68, 69, 70, 71, 72, 73, 87],
+    280: [67, 68, 69, 70, 71, 87],
+    290: [65, 66, 67, 68, 69, 70, 71, 87],
+    300: [65, 66, 67, 68, 69, 87],
+    310: [62, 63, 64, 65, 66, 67, 68, 69, 87],
+    320: [60, 61, 62, 63, 64, 65, 66, 67, 68, 87],
+    330: [61, 62, 63, 64, 65, 87],
+    340: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 87],
+    350: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 87],
+    360: [54, 55, 56, 57, 58, 59, 87],
+    370: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
+    380: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 87],
+    390: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 87],
+    400: [40, 41, 42, 43, 44, 45, 46, 47, 87],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 87],
+    420: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 87],
+    430: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 87],
+    440: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 87],
+    450: [87],
+    460: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 87, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 87, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [350, 351, 352, 353, 354, 355]
+  },
+  210: {
+    0: [81, 82, 83, 86],
+    10: [81, 82, 86],
+    20: [81, 82, 86],
+    30: [80, 81, 82, 86],
+    40: [80, 81, 82, 86],
+    50: [80, 81, 86],
+    60: [79, 80, 81, 86],
+    70: [79, 80, 81, 86],
+    80: [78, 79, 80, 86],
+    90: [78, 79, 80, 86],
+    100: [77, 78, 79, 80, 86],
+    110: [77, 78, 79, 80, 86],
+    120: [77, 78, 79, 86],
+    130: [76, 77, 78, 79, 86],
+    140: [76, 77, 78, 79, 86],
+    150: [75, 76, 77, 78, 86],
+    160: [75, 76, 77, 78, 86, 87],
+    170: [74, 75, 76, 77],
+    180: [73, 74, 75, 76, 77, 86, 87],
+    190: [73, 74, 75, 76, 87],
+    200: [72, 73, 74, 75, 76, 87],
+    210: [72, 73, 74, 87],
+    220: [70, 71, 72, 73, 74, 75, 87],
+    230: [70, 71, 72, 73, 87],
+    240: [68, 69, 70, 71, 72, 73, 87],
+    250: [68, 69, 70, 71, 72, 87],
+    260: [67, 68, 69, 70, 71, 87],
+    270: [65, 66, 67, 68, 69, 70, 71, 87],
+    280: [65, 66, 67, 68, 69, 87],
+    290: [63, 64, 65, 66, 67, 68, 69, 87],
+    300: [61, 62, 63, 64, 65, 66, 67, 68, 87],
+    310: [61, 62, 63, 64, 65, 87],
+    320: [58, 59, 60, 61, 62, 63, 64, 65, 87],
+    330: [56, 57, 58, 59, 60, 61, 62, 63, 87],
+    340: [55, 56, 57, 58, 59, 60, 87],
+    350: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 87],
+    360: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 87],
+    370: [49, 50, 51, 52, 87],
+    380: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 87],
+    390: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 87],
+    400: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 87],
+    410: [34, 35, 36, 37, 38, 39, 87],
+    420: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 87],
+    430: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 87],
+    440: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 87],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 87],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 87, 358, 359],
+    480: [0, 1, 2, 3, 4, 87, 354, 355, 356, 357, 358, 359],
+    490: [87, 354, 355, 356, 357, 358]
+  },
+  220: {
+    0: [80, 81, 82, 85, 86],
+    10: [80, 81, 82, 85, 86],
+    20: [80, 81, 85, 86],
+    30: [79, 80, 81, 85, 86],
+    40: [79, 80, 81, 86],
+    50: [79, 80, 86],
+    60: [78, 79, 80, 86],
+    70: [78, 79, 80, 86],
+    80: [77, 78, 79, 86],
+    90: [77, 78, 79, 86],
+    100: [76, 77, 78, 79, 86],
+    110: [76, 77, 78, 86],
+    120: [75, 76, 77, 78, 86],
+    130: [75, 76, 77, 86],
+    140: [74, 75, 76, 77, 86],
+    150: [74, 75, 76, 86],
+    160: [73, 74, 75, 76, 86],
+    170: [73, 74, 75, 86],
+    180: [72, 73, 74, 75, 86],
+    190: [72, 73, 74, 86],
+    200: [70, 71, 72, 73, 74, 86],
+    210: [70, 71, 72, 73, 86],
+    220: [69, 70, 71, 72, 73, 86],
+    230: [68, 69, 70, 71, 72, 86],
+    240: [67, 68, 69, 70, 71, 86],
+    250: [66, 67, 68, 69, 70, 71, 86],
+    260: [66, 67, 68, 69, 86],
+    270: [63, 64, 65, 66, 67, 68, 69, 86],
+    280: [62, 63, 64, 65, 66, 67, 86],
+    290: [61, 62, 63, 64, 65, 66, 86],
+    300: [59, 60, 61, 62, 63, 64, 65, 86],
+    310: [58, 59, 60, 61, 62, 63, 86],
+    320: [56, 57, 58, 59, 60, 61, 62, 86],
+    330: [53, 54, 55, 56, 57, 58, 59, 60, 61, 86],
+    340: [53, 54, 55, 56, 57, 58],
+    350: [49, 50, 51, 52, 53, 54, 55, 56, 86],
+    360: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    370: [44, 45, 46, 47, 48, 49, 50, 51, 52, 86],
+    380: [42, 43, 44, 45, 46, 47],
+    390: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    400: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    410: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 87],
+    420: [28, 29, 30, 31, 32, 33],
+    430: [21, 22, 23, 24, 25, 26, 27, 28, 29, 87],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 87],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 87, 354, 355, 356, 357, 358, 359],
+    490: [0, 354, 355, 356, 357, 358, 359],
+    500: [354]
+  },
+  230: {
+    0: [80, 81, 85],
+    10: [79, 80, 81, 85],
+    20: [79, 80, 85],
+    30: [78, 79, 80, 85],
+    40: [78, 79, 80, 85],
+    50: [78, 79, 85],
+    60: [77, 78, 79, 85],
+    70: [77, 78, 79, 85],
+    80: [76, 77, 78, 85],
+    90: [76, 77, 78, 85, 86],
+    100: [75, 76, 77, 85, 86],
+    110: [75, 76, 77, 85, 86],
+    120: [74, 75, 76, 77, 85, 86],
+    130: [74, 75, 76, 86],
+    140: [73, 74, 75, 76, 86],
+    150: [73, 74, 75, 86],
+    160: [72, 73, 74, 75, 86],
+    170: [71, 72, 73, 74, 86],
+    180: [70, 71, 72, 73, 74, 86],
+    190: [70, 71, 72, 73, 86],
+    200: [69, 70, 71, 72, 86],
+    210: [68, 69, 70, 71, 72, 86],
+    220: [67, 68, 69, 70, 71, 86],
+    230: [66, 67, 68, 69, 70, 86],
+    240: [66, 67, 68, 69, 86],
+    250: [64, 65, 66, 67, 68, 69, 86],
+    260: [63, 64, 65, 66, 67, 86],
+    270: [61, 62, 63, 64, 65, 66, 86],
+    280: [60, 61, 62, 63, 64, 65, 86],
+    290: [60, 61, 62, 63, 86],
+    300: [57, 58, 59, 60, 61, 62, 63, 86],
+    310: [55, 56, 57, 58, 59, 60, 61, 86],
+    320: [55, 56, 57, 58, 86],
+    330: [51, 52, 53, 54, 55, 56, 57, 58, 86],
+    340: [49, 50, 51, 52, 53, 54, 55, 56, 86],
+    350: [49, 50, 51, 52, 53, 86],
+    360: [44, 45, 46, 47, 48, 49, 50, 51, 52, 86],
+    370: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 86],
+    380: [39, 40, 41, 42, 43, 44, 45, 46, 47, 86],
+    390: [37, 38, 39, 40, 86],
+    400: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 86],
+    410: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 86],
+    420: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 86],
+    430: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 86],
+    440: [16, 17, 18, 19, 20, 21, 22, 23, 86],
+    450: [86],
+    460: [6, 7, 8, 9, 10, 11, 12, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 86, 359],
+    480: [0, 1, 2, 3, 86, 354, 355, 356, 357, 358, 359],
+    490: [86, 354, 355, 356, 357]
+  },
+  240: {
+    0: [79, 80, 84, 85],
+    10: [78, 79, 80, 84, 85],
+    20: [78, 79, 85],
+    30: [77, 78, 79, 85],
+    40: [77, 78, 79, 85],
+    50: [77, 78, 85],
+    60: [76, 77, 78, 85],
+    70: [76, 77, 78, 85],
+    80: [75, 76, 77, 85],
+    90: [75, 76, 77, 85],
+    100: [74, 75, 76, 85],
+    110: [73, 74, 75, 76, 85],
+    120: [73, 74, 75, 85],
+    130: [72, 73, 74, 75, 85],
+    140: [72, 73, 74, 85],
+    150: [71, 72, 73, 74, 85],
+    160: [70, 71, 72, 73, 85],
+    170: [70, 71, 72, 73, 85],
+    180: [69, 70, 71, 72, 85],
+    190: [68, 69, 70, 71, 72, 85],
+    200: [67, 68, 69, 70, 85],
+    210: [66, 67, 68, 69, 70, 85],
+    220: [66, 67, 68, 69, 85],
+    230: [64, 65, 66, 67, 68, 85, 86],
+    240: [64, 65, 66, 67],
+    250: [62, 63, 64, 65, 66, 86],
+    260: [61, 62, 63, 64, 65, 66, 86],
+    270: [60, 61, 62, 63, 86],
+    280: [58, 59, 60, 61, 62, 63, 86],
+    290: [57, 58, 59, 60, 61, 62, 86],
+    300: [55, 56, 57, 58, 59, 60, 86],
+    310: [53, 54, 55, 56, 57, 58, 59, 86],
+    320: [52, 53, 54, 55, 56, 57, 86],
+    330: [50, 51, 52, 53, 54, 55, 86],
+    340: [47, 48, 49, 50, 51, 52, 53, 54, 86],
+    350: [45, 46, 47, 48, 49, 50, 51, 52, 86],
+    360: [45, 46, 47, 48, 86],
+    370: [39, 40, 41, 42, 43, 44, 45, 46, 47, 86],
+    380: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 86],
+    390: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 86],
+    400: [32, 33, 34, 35, 36, 86],
+    410: [26, 27, 28, 29, 30, 31, 32, 33, 34, 86],
+    420: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 86],
+    430: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 86],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 86],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 86],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 86, 359],
+    480: [0, 1, 2, 3, 4, 86, 356, 357, 358, 359],
+    490: [0, 86, 356, 357, 358, 359]
+  },
+  250: {
+    0: [78, 79, 84],
+    10: [77, 78, 79, 84],
+    20: [77, 78, 79, 84],
+    30: [77, 78, 84],
+    40: [76, 77, 78, 84],
+    50: [76, 77, 84, 85],
+    60: [75, 76, 77, 84, 85],
+    70: [75, 76, 77, 84, 85],
+    80: [74, 75, 76, 84, 85],
+    90: [74, 75, 76, 85],
+    100: [73, 74, 75, 85],
+    110: [72, 73, 74, 75, 85],
+    120: [72, 73, 74, 85],
+    130: [71, 72, 73, 74, 85],
+    140: [71, 72, 73, 85],
+    150: [70, 71, 72, 73, 85],
+    160: [69, 70, 71, 72, 85],
+    170: [68, 69, 70, 71, 85],
+    180: [68, 69, 70, 85],
+    190: [67, 68, 69, 70, 85],
+    200: [66, 67, 68, 69, 85],
+    210: [65, 66, 67, 68, 85],
+    220: [64, 65, 66, 67, 68, 85],
+    230: [63, 64, 65, 66, 67, 85],
+    240: [62, 63, 64, 65, 66, 85],
+    250: [61, 62, 63, 64, 85],
+    260: [59, 60, 61, 62, 63, 64, 85],
+    270: [58, 59, 60, 61, 62, 85],
+    280: [56, 57, 58, 59, 60, 61, 85],
+    290: [55, 56, 57, 58, 59, 60, 85],
+    300: [54, 55, 56, 57, 58, 85],
+    310: [51, 52, 53, 54, 55, 56, 57, 85],
+    320: [49, 50, 51, 52, 53, 54, 55, 56, 85],
+    330: [48, 49, 50, 51, 52, 53, 85],
+    340: [45, 46, 47, 48, 49, 50, 51],
+    350: [42, 43, 44, 45, 46, 47, 48, 49, 50, 85],
+    360: [40, 41, 42, 43, 44, 45, 46, 47],
+    370: [40, 41, 42, 43, 85],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 42],
+    390: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 85],
+    400: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
+    410: [25, 26, 27, 28, 29, 30, 31, 32],
+    420: [24, 25, 26, 27],
+    430: [17, 18, 19, 20, 21, 22, 23, 24],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 86, 356, 357, 358, 359],
+    490: [0, 1, 356, 357, 358, 359],
+    500: [356]
+  },
+  260: {
+    0: [77, 78, 79, 83, 84],
+    10: [77, 78, 84],
+    20: [76, 77, 78, 84],
+    30: [76, 77, 84],
+    40: [75, 76, 77, 84],
+    50: [75, 76, 84],
+    60: [74, 75, 76, 84],
+    70: [74, 75, 76, 84],
+    80: [73, 74, 75, 84],
+    90: [73, 74, 75, 84],
+    100: [72, 73, 74, 84],
+    110: [71, 72, 73, 84],
+    120: [71, 72, 73, 84],
+    130: [70, 71, 72, 84],
+    140: [70, 71, 72, 84],
+    150: [68, 69, 70, 71, 84, 85],
+    160: [68, 69, 70, 71, 85],
+    170: [67, 68, 69, 70, 84, 85],
+    180: [66, 67, 68, 69, 85],
+    190: [65, 66, 67, 68, 85],
+    200: [64, 65, 66, 67, 68, 85],
+    210: [63, 64, 65, 66, 67, 85],
+    220: [62, 63, 64, 65, 66, 85],
+    230: [62, 63, 64, 85],
+    240: [60, 61, 62, 63, 64, 85],
+    250: [59, 60, 61, 62, 63, 85],
+    260: [57, 58, 59, 60, 61, 62, 85],
+    270: [56, 57, 58, 59, 60, 61, 85],
+    280: [56, 57, 58, 59, 85],
+    290: [53, 54, 55, 56, 57, 58, 85],
+    300: [51, 52, 53, 54, 55, 56, 57, 85],
+    310: [51, 52, 53, 54, 85],
+    320: [47, 48, 49, 50, 51, 52, 53, 85],
+    330: [45, 46, 47, 48, 49, 50, 51, 52, 85],
+    340: [44, 45, 46, 47, 48, 49, 85],
+    350: [41, 42, 43, 44, 45, 46, 47, 85],
+    360: [38, 39, 40, 41, 42, 43, 44, 45, 85],
+    370: [36, 37, 38, 39, 40, 41, 42, 43, 85],
+    380: [34, 35, 36, 37, 38, 39, 85],
+    390: [30, 31, 32, 33, 34, 35, 36, 85],
+    400: [26, 27, 28, 29, 30, 31, 32, 33, 34, 85],
+    410: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 85],
+    420: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 85],
+    430: [16, 17, 18, 19, 20, 21, 22, 23, 24, 85],
+    440: [14, 15, 16, 17, 18, 19, 85],
+    450: [12, 13, 14, 85],
+    460: [6, 7, 8, 9, 85],
+    470: [1, 2, 3, 4, 5, 6, 85],
+    480: [0, 1, 2, 85, 357, 358, 359],
+    490: [85, 356, 357, 358]
+  },
+  270: {
+    0: [76, 77, 78, 83],
+    10: [76, 77, 83],
+    20: [75, 76, 77, 83],
+    30: [75, 76, 83, 84],
+    40: [74, 75, 76, 83, 84],
+    50: [74, 75, 76, 83, 84],
+    60: [73, 74, 75, 83, 84],
+    70: [73, 74, 75, 84],
+    80: [72, 73, 74, 84],
+    90: [72, 73, 74, 84],
+    100: [71, 72, 73, 84],
+    110: [70, 71, 72, 73, 84],
+    120: [70, 71, 72, 84],
+    130: [69, 70, 71, 84],
+    140: [68, 69, 70, 71, 84],
+    150: [67, 68, 69, 70, 84],
+    160: [67, 68, 69, 70, 84],
+    170: [66, 67, 68, 84],
+    180: [65, 66, 67, 68, 84],
+    190: [64, 65, 66, 67, 84],
+    200: [63, 64, 65, 66, 84],
+    210: [63, 64, 65, 84],
+    220: [61, 62, 63, 64, 65, 84],
+    230: [60, 61, 62, 63, 64, 84],
+    240: [59, 60, 61, 62, 84],
+    250: [57, 58, 59, 60, 61, 62, 84],
+    260: [57, 58, 59, 60, 84],
+    270: [54, 55, 56, 57, 58, 59, 84],
+    280: [53, 54, 55, 56, 57, 58],
+    290: [52, 53, 54, 55, 85],
+    300: [49, 50, 51, 52, 53, 54, 55],
+    310: [48, 49, 50, 51, 52, 53, 85],
+    320: [47, 48, 49, 50],
+    330: [44, 45, 46, 47, 48, 49, 50, 85],
+    340: [42, 43, 44, 45, 46, 47, 48, 85],
+    350: [40, 41, 42, 43, 44, 45, 85],
+    360: [37, 38, 39, 40, 41, 42, 85],
+    370: [34, 35, 36, 37, 38, 39, 40, 41, 85],
+    380: [31, 32, 33, 34, 35, 36, 37, 38, 39, 85],
+    390: [29, 30, 31, 32, 33, 34, 35, 85],
+    400: [28, 29, 30, 85],
+    410: [22, 23, 24, 25, 26, 27, 28, 29, 85],
+    420: [18, 19, 20, 21, 22, 23, 24, 25, 26, 85],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 85],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 85],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 85],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 85],
+    480: [0, 1, 2, 3, 4, 5, 85, 358, 359],
+    490: [0, 1, 85, 358, 359]
+  },
+  280: {
+    0: [76, 77, 82, 83],
+    10: [75, 76, 77, 83],
+    20: [75, 76, 83],
+    30: [74, 75, 76, 83],
+    40: [73, 74, 75, 83],
+    50: [73, 74, 75, 83],
+    60: [72, 73, 74, 83],
+    70: [72, 73, 74, 83],
+    80: [71, 72, 73, 83],
+    90: [70, 71, 72, 73, 83],
+    100: [70, 71, 72, 83],
+    110: [69, 70, 71, 72, 83],
+    120: [68, 69, 70, 71, 83, 84],
+    130: [68, 69, 70, 84],
+    140: [67, 68, 69, 70, 84],
+    150: [67, 68, 69, 84],
+    160: [65, 66, 67, 68, 84],
+    170: [65, 66, 67, 84],
+    180: [63, 64, 65, 66, 67, 84],
+    190: [63, 64, 65, 66, 84],
+    200: [62, 63, 64, 65, 84],
+    210: [61, 62, 63, 64, 84],
+    220: [60, 61, 62, 63, 84],
+    230: [58, 59, 60, 61, 62, 84],
+    240: [58, 59, 60, 61, 84],
+    250: [56, 57, 58, 59, 60, 84],
+    260: [55, 56, 57, 58, 59, 84],
+    270: [53, 54, 55, 56, 57, 84],
+    280: [51, 52, 53, 54, 55, 56, 84],
+    290: [50, 51, 52, 53, 54, 55, 84],
+    300: [48, 49, 50, 51, 52, 84],
+    310: [46, 47, 48, 49, 50, 51, 52, 84],
+    320: [45, 46, 47, 48, 49, 50, 84],
+    330: [43, 44, 45, 46, 84],
+    340: [40, 41, 42, 43, 44, 45, 46, 84],
+    350: [38, 39, 40, 41, 42, 43, 44, 84],
+    360: [36, 37, 38, 39, 40, 41, 84],
+    370: [34, 35, 36, 37, 38, 84],
+    380: [30, 31, 32, 33, 34, 35, 36, 37, 84],
+    390: [27, 28, 29, 30, 31, 32, 33, 34, 84],
+    400: [24, 25, 26, 27, 28, 29, 30, 31, 32, 84],
+    410: [22, 23, 24, 25, 26, 27, 28],
+    420: [21, 22, 23, 84],
+    430: [15, 16, 17, 18, 19, 20],
+    440: [11, 12, 13, 14, 15, 16, 17, 18],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    480: [0, 1, 2, 3, 4, 5, 85, 358, 359],
+    490: [0, 1, 358, 359],
+    500: [358]
+  },
+  290: {
+    0: [75, 76, 82],
+    10: [74, 75, 76, 82],
+    20: [74, 75, 82, 83],
+    30: [73, 74, 75, 82, 83],
+    40: [73, 74, 82, 83],
+    50: [72, 73, 74, 82, 83],
+    60: [71, 72, 73, 83],
+    70: [71, 72, 73, 83],
+    80: [70, 71, 72, 83],
+    90: [69, 70, 71, 72, 83],
+    100: [69, 70, 71, 83],
+    110: [68, 69, 70, 83],
+    120: [67, 68, 69, 70, 83],
+    130: [67, 68, 69, 83],
+    140: [66, 67, 68, 83],
+    150: [65, 66, 67, 68, 83],
+    160: [64, 65, 66, 67, 83],
+    170: [63, 64, 65, 66, 83],
+    180: [62, 63, 64, 65, 83],
+    190: [61, 62, 63, 64, 65, 83],
+    200: [61, 62, 63, 83, 84],
+    210: [59, 60, 61, 62, 63],
+    220: [59, 60, 61, 62, 84],
+    230: [57, 58, 59, 60, 61, 84],
+    240: [56, 57, 58, 59, 60, 84],
+    250: [55, 56, 57, 58, 84],
+    260: [53, 54, 55, 56, 57, 84],
+    270: [52, 53, 54, 55, 56, 84],
+    280: [50, 51, 52, 53, 54, 84],
+    290: [48, 49, 50, 51, 52, 53, 84],
+    300: [47, 48, 49, 50, 51, 84],
+    310: [45, 46, 47, 48, 49, 84],
+    320: [43, 44, 45, 46, 47, 48, 84],
+    330: [41, 42, 43, 44, 45, 46, 84],
+    340: [40, 41, 42, 43, 84],
+    350: [36, 37, 38, 39, 40, 41, 42, 84],
+    360: [34, 35, 36, 37, 38, 39, 40, 84],
+    370: [32, 33, 34, 35, 36, 37, 38, 84],
+    380: [31, 32, 33, 34, 84],
+    390: [26, 27, 28, 29, 30, 31, 32, 84],
+    400: [23, 24, 25, 26, 27, 28, 29, 30, 84],
+    410: [20, 21, 22, 23, 24, 25, 26, 27, 28, 84],
+    420: [17, 18, 19, 20, 21, 22, 23, 24, 25, 84],
+    430: [15, 16, 17, 18, 19, 20, 21, 84],
+    440: [12, 13, 14, 15, 16, 17, 84],
+    450: [10, 11, 12, 13, 84],
+    460: [8, 9, 84],
+    470: [3, 4, 5, 84],
+    480: [0, 1, 2, 84, 359],
+    490: [84, 358]
+  },
+  300: {
+    0: [74, 75, 76, 81, 82],
+    10: [74, 75, 82],
+    20: [73, 74, 75, 82],
+    30: [72, 73, 74, 82],
+    40: [72, 73, 82],
+    50: [71, 72, 73, 82],
+    60: [71, 72, 82],
+    70: [70, 71, 72, 82],
+    80: [69, 70, 71, 82, 83],
+    90: [69, 70, 71, 82, 83],
+    100: [68, 69, 70, 82, 83],
+    110: [67, 68, 69, 83],
+    120: [67, 68, 69, 83],
+    130: [66, 67, 68, 83],
+    140: [65, 66, 67, 83],
+    150: [64, 65, 66, 67, 83],
+    160: [63, 64, 65, 66, 83],
+    170: [62, 63, 64, 65, 83],
+    180: [62, 63, 64, 83],
+    190: [60, 61, 62, 63, 83],
+    200: [60, 61, 62, 83],
+    210: [58, 59, 60, 61, 83],
+    220: [57, 58, 59, 60, 83],
+    230: [56, 57, 58, 59, 83],
+    240: [54, 55, 56, 57, 58, 83],
+    250: [54, 55, 56, 57, 83],
+    260: [52, 53, 54, 55, 83],
+    270: [50, 51, 52, 53, 54, 55, 83],
+    280: [50, 51, 52, 53, 83],
+    290: [47, 48, 49, 50, 51, 83],
+    300: [45, 46, 47, 48, 49, 50, 83],
+    310: [44, 45, 46, 47, 48, 83],
+    320: [42, 43, 44, 45, 46],
+    330: [39, 40, 41, 42, 43, 44, 45, 84],
+    340: [38, 39, 40, 41, 42, 43],
+    350: [37, 38, 39, 40, 84],
+    360: [33, 34, 35, 36, 37, 38, 84],
+    370: [30, 31, 32, 33, 34, 35, 36, 37, 84],
+    380: [28, 29, 30, 31, 32, 33, 34, 84],
+    390: [26, 27, 28, 29, 30, 31, 84],
+    400: [24, 25, 26, 27, 84],
+    410: [20, 21, 22, 23, 24, 25, 84],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 84],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 21, 84],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 84],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 84],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 84],
+    470: [1, 2, 3, 4, 5, 6, 7, 8, 84],
+    480: [0, 1, 2, 3, 4, 5, 84, 359],
+    490: [0, 1, 2, 84, 359],
+    500: [359]
+  },
+  310: {
+    0: [73, 74, 75, 81],
+    10: [73, 74, 81],
+    20: [72, 73, 74, 81, 82],
+    30: [72, 73, 81, 82],
+    40: [71, 72, 73, 81, 82],
+    50: [70, 71, 72, 82],
+    60: [70, 71, 72, 82],
+    70: [69, 70, 71, 82],
+    80: [68, 69, 70, 82],
+    90: [68, 69, 70, 82],
+    100: [67, 68, 69, 82],
+    110: [66, 67, 68, 82],
+    120: [65, 66, 67, 68, 82],
+    130: [65, 66, 67, 82],
+    140: [64, 65, 66, 82],
+    150: [63, 64, 65, 82, 83],
+    160: [62, 63, 64, 65, 82],
+    170: [61, 62, 63, 64, 83],
+    180: [60, 61, 62, 63, 83],
+    190: [59, 60, 61, 62, 83],
+    200: [58, 59, 60, 61, 83],
+    210: [57, 58, 59, 60, 83],
+    220: [56, 57, 58, 59, 83],
+    230: [55, 56, 57, 58, 83],
+    240: [53, 54, 55, 56, 57, 83],
+    250: [52, 53, 54, 55, 56, 83],
+    260: [51, 52, 53, 54, 83],
+    270: [49, 50, 51, 52, 53, 83],
+    280: [48, 49, 50, 51, 52, 83],
+    290: [47, 48, 49, 50, 83],
+    300: [44, 45, 46, 47, 48, 83],
+    310: [42, 43, 44, 45, 46, 47, 83],
+    320: [41, 42, 43, 44, 45, 83],
+    330: [39, 40, 41, 42, 43, 83],
+    340: [36, 37, 38, 39, 40, 41, 42, 83],
+    350: [34, 35, 36, 37, 38, 39, 40, 83],
+    360: [33, 34, 35, 36, 37, 83],
+    370: [30, 31, 32, 33, 34, 83],
+    380: [27, 28, 29, 30, 31, 32, 33, 83],
+    390: [24, 25, 26, 27, 28, 29, 30, 31, 83],
+    400: [22, 23, 24, 25, 26, 27, 28, 83],
+    410: [20, 21, 22, 23, 24, 25],
+    420: [18, 19, 20, 21, 83],
+    430: [14, 15, 16, 17, 18],
+    440: [11, 12, 13, 14, 15, 16, 83],
+    450: [7, 8, 9, 10, 11, 12, 13],
+    460: [4, 5, 6, 7, 8, 9, 10, 11],
+    470: [1, 2, 3, 4, 5, 6, 7, 8],
+    480: [0, 1, 2, 3, 4, 5, 359],
+    490: [0, 1, 2, 84, 359],
+    500: [359]
+  },
+  320: {
+    0: [73, 74, 80, 81],
+    10: [72, 73, 74, 81],
+    20: [71, 72, 73, 81],
+    30: [71, 72, 81],
+    40: [70, 71, 72, 81],
+    50: [70, 71, 81],
+    60: [69, 70, 71, 81],
+    70: [68, 69, 70, 81, 82],
+    80: [68, 69, 81, 82],
+    90: [67, 68, 69, 82],
+    100: [66, 67, 68, 82],
+    110: [66, 67, 68, 82],
+    120: [64, 65, 66, 67, 82],
+    130: [64, 65, 66, 82],
+    140: [63, 64, 65, 82],
+    150: [62, 63, 64, 82],
+    160: [61, 62, 63, 64, 82],
+    170: [60, 61, 62, 63, 82],
+    180: [59, 60, 61, 62, 82],
+    190: [58, 59, 60, 61, 82],
+    200: [57, 58, 59, 60, 82],
+    210: [56, 57, 58, 59, 82],
+    220: [55, 56, 57, 82],
+    230: [53, 54, 55, 56, 57, 82],
+    240: [53, 54, 55, 82],
+    250: [51, 52, 53, 54],
+    260: [49, 50, 51, 52, 53, 83],
+    270: [48, 49, 50, 51, 83],
+    280: [46, 47, 48, 49, 50, 83],
+    290: [45, 46, 47, 48, 49, 83],
+    300: [44, 45, 46, 47, 83],
+    310: [41, 42, 43, 44, 45, 83],
+    320: [39, 40, 41, 42, 43, 44, 83],
+    330: [38, 39, 40, 41, 42, 83],
+    340: [36, 37, 38, 39, 83],
+    350: [33, 34, 35, 36, 37, 38, 83],
+    360: [31, 32, 33, 34, 35, 36, 83],
+    370: [29, 30, 31, 32, 33, 34, 83],
+    380: [28, 29, 30, 31, 83],
+    390: [24, 25, 26, 27, 28, 29, 83],
+    400: [21, 22, 23, 24, 25, 26, 27, 83],
+    410: [18, 19, 20, 21, 22, 23, 24, 25, 83],
+    420: [16, 17, 18, 19, 20, 21, 22, 83],
+    430: [13, 14, 15, 16, 17, 18, 19, 83],
+    440: [11, 12, 13, 14, 15, 16, 83],
+    450: [9, 10, 11, 12, 13, 83],
+    460: [7, 8, 9, 10, 83],
+    470: [4, 5, 6, 83],
+    480: [2, 3]
+  },
+  330: {
+    0: [72, 73, 74, 80],
+    10: [71, 72, 73, 80],
+    20: [71, 72, 80, 81],
+    30: [70, 71, 72, 80, 81],
+    40: [69, 70, 71, 81],
+    50: [69, 70, 81],
+    60: [68, 69, 70, 81],
+    70: [67, 68, 69, 81],
+    80: [67, 68, 69, 81],
+    90: [66, 67, 68, 81],
+    100: [65, 66, 67, 81],
+    110: [64, 65, 66, 67, 81],
+    120: [63, 64, 65, 66, 81],
+    130: [63, 64, 65, 81, 82],
+    140: [62, 63, 64, 82],
+    150: [61, 62, 63, 64, 82],
+    160: [60, 61, 62, 82],
+    170: [59, 60, 61, 62, 82],
+    180: [58, 59, 60, 82],
+    190: [57, 58, 59, 60, 82],
+    200: [56, 57, 58, 59, 82],
+    210: [55, 56, 57, 58, 82],
+    220: [54, 55, 56, 57, 82],
+    230: [52, 53, 54, 55, 82],
+    240: [51, 52, 53, 54, 55, 82],
+    250: [50, 51, 52, 53, 82],
+    260: [48, 49, 50, 51, 52, 82],
+    270: [47, 48, 49, 50, 51, 82],
+    280: [45, 46, 47, 48, 82],
+    290: [43, 44, 45, 46, 47, 48, 82],
+    300: [42, 43, 44, 45, 46, 82],
+    310: [41, 42, 43, 44, 82],
+    320: [38, 39, 40, 41, 42, 82],
+    330: [36, 37, 38, 39, 40, 41],
+    340: [35, 36, 37, 38, 39, 82],
+    350: [33, 34, 35, 36],
+    360: [30, 31, 32, 33, 34, 35],
+    370: [28, 29, 30, 31, 32, 33, 83],
+    380: [26, 27, 28, 29, 30, 31, 83],
+    390: [24, 25, 26, 27, 28, 83],
+    400: [23, 24, 25, 83],
+    410: [19, 20, 21, 22, 83],
+    420: [15, 16, 17, 18, 19, 20, 21, 83],
+    430: [13, 14, 15, 16, 17, 18, 19, 83],
+    440: [10, 11, 12, 13, 14, 15, 16, 83],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 83],
+    460: [5, 6, 7, 8, 9, 10, 11, 83],
+    470: [2, 3, 4, 5, 6, 7, 8, 83],
+    480: [1, 2, 3, 4, 5],
+    490: [1, 2, 3]
+  },
+  340: {
+    0: [71, 72, 73, 79, 80],
+    10: [71, 72, 80],
+    20: [70, 71, 72, 80],
+    30: [69, 70, 71, 80],
+    40: [69, 70, 80],
+    50: [68, 69, 70, 80, 81],
+    60: [67, 68, 69, 80, 81],
+    70: [67, 68, 80, 81],
+    80: [66, 67, 68, 81],
+    90: [65, 66, 67, 81],
+    100: [64, 65, 66, 81],
+    110: [63, 64, 65, 81],
+    120: [63, 64, 65, 81],
+    130: [62, 63, 64, 81],
+    140: [61, 62, 63, 81],
+    150: [60, 61, 62, 81],
+    160: [59, 60, 61, 62, 81],
+    170: [58, 59, 60, 61, 81],
+    180: [57, 58, 59, 60, 81],
+    190: [56, 57, 58, 59, 81, 82],
+    200: [55, 56, 57, 58, 81, 82],
+    210: [54, 55, 56, 81, 82],
+    220: [53, 54, 55, 56, 82],
+    230: [52, 53, 54, 82],
+    240: [50, 51, 52, 53, 82],
+    250: [49, 50, 51, 52, 82],
+    260: [47, 48, 49, 50, 82],
+    270: [46, 47, 48, 49, 82],
+    280: [44, 45, 46, 47, 48, 82],
+    290: [43, 44, 45, 46, 82],
+    300: [41, 42, 43, 44, 45, 82],
+    310: [39, 40, 41, 42, 43, 82],
+    320: [38, 39, 40, 41, 82],
+    330: [35, 36, 37, 38, 39, 82],
+    340: [33, 34, 35, 36, 37, 38, 82],
+    350: [32, 33, 34, 35, 36, 82],
+    360: [30, 31, 32, 33, 34, 82],
+    370: [27, 28, 29, 30, 31, 82],
+    380: [25, 26, 27, 28, 29, 30, 82],
+    390: [22, 23, 24, 25, 26, 27, 28, 82],
+    400: [20, 21, 22, 23, 24, 25, 26, 82],
+    410: [18, 19, 20, 21, 22, 23, 82],
+    420: [16, 17, 18, 19, 20, 82],
+    430: [15, 16, 17, 82],
+    440: [11, 12, 13, 14, 82],
+    450: [8, 9, 10, 11, 12, 82],
+    460: [5, 6, 7, 8, 9, 10],
+    470: [2, 3, 4, 5, 6, 7, 8, 82],
+    480: [1, 2, 3, 4, 5],
+    490: [1, 2]
+  },
+  350: {
+    0: [71, 72, 79],
+    10: [70, 71, 72, 79, 80],
+    20: [69, 70, 71, 79, 80],
+    30: [69, 70, 79, 80],
+    40: [68, 69, 70, 80],
+    50: [67, 68, 69, 80],
+    60: [67, 68, 80],
+    70: [66, 67, 68, 80],
+    80: [65, 66, 67, 80],
+    90: [64, 65, 66, 80],
+    100: [63, 64, 65, 80, 81],
+    110: [63, 64, 65, 80, 81],
+    120: [62, 63, 64, 80, 81],
+    130: [61, 62, 63, 81],
+    140: [60, 61, 62, 81],
+    150: [59, 60, 61, 81],
+    160: [58, 59, 60, 61, 81],
+    170: [57, 58, 59, 81],
+    180: [56, 57, 58, 59, 81],
+    190: [55, 56, 57, 58, 81],
+    200: [54, 55, 56, 57, 81],
+    210: [53, 54, 55, 56, 81],
+    220: [51, 52, 53, 54, 81],
+    230: [50, 51, 52, 53, 54, 81],
+    240: [49, 50, 51, 52, 81],
+    250: [47, 48, 49, 50, 51, 81],
+    260: [47, 48, 49, 50, 81],
+    270: [45, 46, 47, 48, 81],
+    280: [43, 44, 45, 46, 47, 81, 82],
+    290: [42, 43, 44, 45, 46],
+    300: [40, 41, 42, 43, 82],
+    310: [38, 39, 40, 41, 42, 82],
+    320: [36, 37, 38, 39, 40, 41, 82],
+    330: [35, 36, 37, 38, 39, 82],
+    340: [33, 34, 35, 36, 82],
+    350: [30, 31, 32, 33, 34, 35, 82],
+    360: [29, 30, 31, 32, 33, 82],
+    370: [27, 28, 29, 30, 31, 82],
+    380: [26, 27, 28, 29, 82],
+    390: [22, 23, 24, 25, 26, 82],
+    400: [20, 21, 22, 23, 24, 82],
+    410: [17, 18, 19, 20, 21, 22, 23, 82],
+    420: [15, 16, 17, 18, 19, 20, 82],
+    430: [13, 14, 15, 16, 17, 18, 82],
+    440: [10, 11, 12, 13, 14, 15, 16, 82],
+    450: [8, 9, 10, 11, 12, 13, 82],
+    460: [6, 7, 8, 9, 10, 82],
+    470: [4, 5, 6, 7, 82],
+    480: [2, 3, 4, 5, 82],
+    490: [2]
+  },
+  360: {
+    0: [70, 71, 72, 78, 79],
+    10: [69, 70, 71, 79],
+    20: [69, 70, 79],
+    30: [68, 69, 70, 79],
+    40: [67, 68, 69, 79],
+    50: [67, 68, 79, 80],
+    60: [66, 67, 68, 79, 80],
+    70: [65, 66, 67, 80],
+    80: [64, 65, 66, 80],
+    90: [64, 65, 80],
+    100: [63, 64, 65, 80],
+    110: [62, 63, 64, 80],
+    120: [61, 62, 63, 80],
+    130: [60, 61, 62, 80],
+    140: [59, 60, 61, 80],
+    150: [58, 59, 60, 61, 80],
+    160: [57, 58, 59, 60, 80, 81],
+    170: [57, 58, 59, 80, 81],
+    180: [55, 56, 57, 58, 81],
+    190: [54, 55, 56, 57, 81],
+    200: [53, 54, 55, 81],
+    210: [52, 53, 54, 55, 81],
+    220: [51, 52, 53, 81],
+    230: [49, 50, 51, 52, 81],
+    240: [48, 49, 50, 51, 81],
+    250: [47, 48, 49, 81],
+    260: [45, 46, 47, 48, 49, 81],
+    270: [44, 45, 46, 47, 81],
+    280: [42, 43, 44, 45, 81],
+    290: [41, 42, 43, 44, 81],
+    300: [39, 40, 41, 42, 43, 81],
+    310: [38, 39, 40, 41, 81],
+    320: [35, 36, 37, 38, 39, 81],
+    330: [34, 35, 36, 37, 38, 81],
+    340: [32, 33, 34, 35, 36, 81],
+    350: [31, 32, 33, 34, 81],
+    360: [28, 29, 30, 31, 32, 81],
+    370: [26, 27, 28, 29, 30, 81],
+    380: [24, 25, 26, 27, 28, 29, 82],
+    390: [22, 23, 24, 25, 26],
+    400: [21, 22, 23, 24, 82],
+    410: [18, 19, 20],
+    420: [15, 16, 17, 18, 19, 82],
+    430: [12, 13, 14, 15, 16, 17, 82],
+    440: [10, 11, 12, 13, 14, 15, 82],
+    450: [7, 8, 9, 10, 11, 12, 13, 82],
+    460: [5, 6, 7, 8, 9, 10, 11, 82],
+    470: [3, 4, 5, 6, 7, 8, 82],
+    480: [2, 3, 4, 5, 6, 82],
+    490: [2, 3, 4]
+  },
+  370: {
+    0: [70, 71, 78],
+    10: [69, 70, 78, 79],
+    20: [68, 69, 70, 78, 79],
+    30: [67, 68, 69, 78, 79],
+    40: [67, 68, 79],
+    50: [66, 67, 68, 79],
+    60: [65, 66, 67, 79],
+    70: [64, 65, 66, 79],
+    80: [64, 65, 79],
+    90: [63, 64, 65, 79, 80],
+    100: [62, 63, 64, 79, 80],
+    110: [61, 62, 63, 80],
+    120: [60, 61, 62, 80],
+    130: [59, 60, 61, 80],
+    140: [58, 59, 60, 61, 80],
+    150: [57, 58, 59, 60, 80],
+    160: [56, 57, 58, 59, 80],
+    170: [55, 56, 57, 58, 80],
+    180: [54, 55, 56, 57, 80],
+    190: [53, 54, 55, 56, 80],
+    200: [53, 54, 55, 80],
+    210: [51, 52, 53, 54, 80],
+    220: [50, 51, 52, 53, 80],
+    230: [49, 50, 51, 80, 81],
+    240: [47, 48, 49, 50, 81],
+    250: [46, 47, 48, 49, 81],
+    260: [44, 45, 46, 47, 81],
+    270: [43, 44, 45, 46, 81],
+    280: [42, 43, 44, 45, 81],
+    290: [40, 41, 42, 43, 81],
+    300: [38, 39, 40, 41, 42, 81],
+    310: [37, 38, 39, 40, 41, 81],
+    320: [36, 37, 38, 81],
+    330: [33, 34, 35, 36, 37, 81],
+    340: [31, 32, 33, 34, 35, 81],
+    350: [29, 30, 31, 32, 33, 34, 81],
+    360: [28, 29, 30, 31, 32, 81],
+    370: [26, 27, 28, 81],
+    380: [23, 24, 25, 26, 27, 81],
+    390: [21, 22, 23, 24, 25, 26, 81],
+    400: [19, 20, 21, 22, 23, 24, 81],
+    410: [17, 18, 19, 20, 21, 22, 81],
+    420: [15, 16, 17, 18, 19, 81],
+    430: [14, 15, 16, 17, 81],
+    440: [12, 13, 14],
+    450: [9, 10, 11, 81],
+    460: [6, 7, 8, 9],
+    470: [3, 4, 5, 6, 7, 81],
+    480: [2, 3, 4, 5],
+    490: [2, 3]
+  },
+  380: {
+    0: [69, 70, 71, 77, 78],
+    10: [68, 69, 70, 77, 78],
+    20: [68, 69, 78],
+    30: [67, 68, 78],
+    40: [66, 67, 68, 78, 79],
+    50: [65, 66, 67, 78, 79],
+    60: [64, 65, 66, 78, 79],
+    70: [64, 65, 79],
+    80: [63, 64, 65, 79],
+    90: [62, 63, 64, 79],
+    100: [61, 62, 63, 79],
+    110: [60, 61, 62, 79],
+    120: [60, 61, 62, 79],
+    130: [58, 59, 60, 79],
+    140: [58, 59, 60, 79],
+    150: [57, 58, 59, 80],
+    160: [56, 57, 58, 80],
+    170: [54, 55, 56, 57, 80],
+    180: [54, 55, 56, 80],
+    190: [52, 53, 54, 55, 80],
+    200: [51, 52, 53, 54, 80],
+    210: [50, 51, 52, 53, 80],
+    220: [49, 50, 51, 52, 80],
+    230: [48, 49, 50, 51, 80],
+    240: [46, 47, 48, 49, 80],
+    250: [45, 46, 47, 48, 80],
+    260: [44, 45, 46, 47, 80],
+    270: [42, 43, 44, 45, 80],
+    280: [41, 42, 43, 44, 80],
+    290: [40, 41, 42, 43, 80],
+    300: [38, 39, 40],
+    310: [36, 37, 38, 39, 80],
+    320: [34, 35, 36, 37, 38, 81],
+    330: [33, 34, 35, 36],
+    340: [31, 32, 33, 81],
+    350: [29, 30, 31, 32, 33, 81],
+    360: [27, 28, 29, 30, 31, 81],
+    370: [25, 26, 27, 28, 29, 81],
+    380: [24, 25, 26, 27, 81],
+    390: [22, 23, 24, 81],
+    400: [19, 20, 21, 22, 23, 81],
+    410: [16, 17, 18, 19, 20, 21, 81],
+    420: [14, 15, 16, 17, 18, 19, 81],
+    430: [12, 13, 14, 15, 16, 17, 81],
+    440: [10, 11, 12, 13, 14, 15, 81],
+    450: [8, 9, 10, 11, 12, 13, 81],
+    460: [6, 7, 8, 9, 10, 81],
+    470: [4, 5, 6, 7, 8, 81],
+    480: [3, 4, 5, 6, 81],
+    490: [3, 4]
+  },
+  390: {
+    0: [69, 70, 77],
+    10: [68, 69, 77],
+    20: [67, 68, 69, 77, 78],
+    30: [66, 67, 68, 77, 78],
+    40: [65, 66, 67, 78],
+    50: [65, 66, 78],
+    60: [64, 65, 66, 78],
+    70: [63, 64, 65, 78],
+    80: [62, 63, 64, 78, 79],
+    90: [61, 62, 63, 78, 79],
+    100: [60, 61, 62, 79],
+    110: [60, 61, 62, 79],
+    120: [59, 60, 61, 79],
+    130: [58, 59, 60, 79],
+    140: [57, 58, 59, 79],
+    150: [56, 57, 58, 79],
+    160: [55, 56, 57, 79],
+    170: [54, 55, 56, 79],
+    180: [53, 54, 55, 79],
+    190: [52, 53, 54, 79],
+    200: [50, 51, 52, 53, 79, 80],
+    210: [49, 50, 51, 52, 80],
+    220: [48, 49, 50, 51, 80],
+    230: [47, 48, 49, 50, 80],
+    240: [46, 47, 48, 49, 80],
+    250: [44, 45, 46, 47, 80],
+    260: [43, 44, 45, 46, 80],
+    270: [42, 43, 44, 45, 80],
+    280: [40, 41, 42, 43, 80],
+    290: [38, 39, 40, 41, 42, 80],
+    300: [37, 38, 39, 40, 80],
+    310: [36, 37, 38, 80],
+    320: [33, 34, 35, 36, 37, 80],
+    330: [32, 33, 34, 35, 36, 80],
+    340: [30, 31, 32, 33, 34, 80],
+    350: [29, 30, 31, 32, 80],
+    360: [26, 27, 28, 29, 30, 80],
+    370: [24, 25, 26, 27, 28, 80],
+    380: [22, 23, 24, 25, 26, 27],
+    390: [21, 22, 23, 24, 25, 80],
+    400: [19, 20, 21, 22, 23],
+    410: [18, 19, 20, 81],
+    420: [15, 16, 17],
+    430: [12, 13, 14, 15, 16, 81],
+    440: [10, 11, 12, 13, 14],
+    450: [8, 9, 10, 11, 12, 81],
+    460: [6, 7, 8, 9, 10, 81],
+    470: [3, 4, 5, 6, 7, 8, 81],
+    480: [3, 4, 5, 6, 81],
+    490: [3, 4]
+  },
+  400: {
+    0: [68, 69, 70, 76, 77],
+    10: [67, 68, 69, 76, 77],
+    20: [66, 67, 68, 77],
+    30: [66, 67, 77],
+    40: [65, 66, 67, 77, 78],
+    50: [64, 65, 66, 77, 78],
+    60: [63, 64, 65, 77, 78],
+    70: [62, 63, 64, 78],
+    80: [62, 63, 78],
+    90: [61, 62, 63, 78],
+    100: [60, 61, 62, 78],
+    110: [59, 60, 61, 78],
+    120: [58, 59, 60, 78, 79],
+    130: [57, 58, 59, 78, 79],
+    140: [56, 57, 58, 79],
+    150: [55, 56, 57, 79],
+    160: [54, 55, 56, 79],
+    170: [53, 54, 55, 79],
+    180: [52, 53, 54, 79],
+    190: [51, 52, 53, 79],
+    200: [50, 51, 52, 79],
+    210: [48, 49, 50, 51, 79],
+    220: [48, 49, 50, 79],
+    230: [46, 47, 48, 49, 79],
+    240: [45, 46, 47, 48, 79],
+    250: [44, 45, 46, 47, 79],
+    260: [42, 43, 44, 45, 79],
+    270: [41, 42, 43, 44, 80],
+    280: [40, 41, 42, 43, 80],
+    290: [38, 39, 40, 80],
+    300: [36, 37, 38, 39, 80],
+    310: [35, 36, 37, 38, 80],
+    320: [34, 35, 36, 80],
+    330: [31, 32, 33, 34, 80],
+    340: [29, 30, 31, 32, 33, 80],
+    350: [28, 29, 30, 31, 32, 80],
+    360: [26, 27, 28, 29, 30, 80],
+    370: [25, 26, 27, 28, 80],
+    380: [22, 23, 24, 25, 80],
+    390: [20, 21, 22, 23, 24, 80],
+    400: [18, 19, 20, 21, 22, 23, 80],
+    410: [16, 17, 18, 19, 20, 21, 80],
+    420: [15, 16, 17, 18, 19, 80],
+    430: [13, 14, 15, 16, 17, 80],
+    440: [11, 12, 13, 14, 80],
+    450: [10, 11, 12, 80],
+    460: [7, 8, 9, 80],
+    470: [5, 6, 7],
+    480: [3, 4, 5, 80],
+    490: [3]
+  },
+  410: {
+    0: [68, 69, 75, 76],
+    10: [67, 68, 76],
+    20: [66, 67, 68, 76, 77],
+    30: [65, 66, 67, 76, 77],
+    40: [64, 65, 66, 77],
+    50: [63, 64, 65, 77],
+    60: [63, 64, 77],
+    70: [62, 63, 77, 78],
+    80: [61, 62, 63, 77, 78],
+    90: [60, 61, 62, 78],
+    100: [59, 60, 61, 78],
+    110: [58, 59, 60, 78],
+    120: [58, 59, 78],
+    130: [56, 57, 58, 78],
+    140: [56, 57, 58, 78],
+    150: [54, 55, 56, 78],
+    160: [54, 55, 56, 78],
+    170: [52, 53, 54, 78, 79],
+    180: [52, 53, 54, 78, 79],
+    190: [50, 51, 52, 79],
+    200: [49, 50, 51, 52, 79],
+    210: [48, 49, 50, 79],
+    220: [47, 48, 49, 79],
+    230: [46, 47, 48, 79],
+    240: [44, 45, 46, 47, 79],
+    250: [43, 44, 45, 46, 79],
+    260: [42, 43, 44, 45, 79],
+    270: [40, 41, 42, 79],
+    280: [39, 40, 41, 42, 79],
+    290: [37, 38, 39, 40, 79],
+    300: [36, 37, 38, 39, 79],
+    310: [34, 35, 36, 37, 79],
+    320: [32, 33, 34, 35, 36, 79],
+    330: [31, 32, 33, 34, 79],
+    340: [30, 31, 32],
+    350: [27, 28, 29, 30, 80],
+    360: [25, 26, 27, 28, 29, 80],
+    370: [24, 25, 26, 27, 28, 80],
+    380: [22, 23, 24, 25, 26, 80],
+    390: [21, 22, 23, 24, 80],
+    400: [19, 20, 21, 80],
+    410: [16, 17, 18, 19, 20, 80],
+    420: [14, 15, 16, 17, 18, 80],
+    430: [12, 13, 14, 15, 16, 80],
+    440: [10, 11, 12, 13, 14, 15, 80],
+    450: [8, 9, 10, 11, 12, 13, 80],
+    460: [6, 7, 8, 9, 10, 11, 80],
+    470: [5, 6, 7, 8, 9, 80],
+    480: [4, 5, 6, 7, 80],
+    490: [4, 5, 80]
+  },
+  420: {
+    0: [67, 68, 69, 75, 76],
+    10: [66, 67, 68, 75, 76],
+    20: [65, 66, 67, 76],
+    30: [65, 66, 76],
+    40: [64, 65, 76, 77],
+    50: [63, 64, 65, 76, 77],
+    60: [62, 63, 64, 76, 77],
+    70: [61, 62, 63, 77],
+    80: [60, 61, 62, 77],
+    90: [60, 61, 77],
+    100: [59, 60, 77],
+    110: [58, 59, 60, 77, 78],
+    120: [57, 58, 59, 77, 78],
+    130: [56, 57, 58, 78],
+    140: [55, 56, 57, 78],
+    150: [54, 55, 56, 78],
+    160: [53, 54, 55, 78],
+    170: [52, 53, 54, 78],
+    180: [51, 52, 53, 78],
+    190: [50, 51, 52, 78],
+    200: [48, 49, 50, 51, 78],
+    210: [47, 48, 49, 50, 78],
+    220: [46, 47, 48, 49, 78],
+    230: [45, 46, 47, 78, 79],
+    240: [44, 45, 46, 79],
+    250: [42, 43, 44, 45, 79],
+    260: [41, 42, 43, 44, 79],
+    270: [40, 41, 42, 43, 79],
+    280: [38, 39, 40, 41, 79],
+    290: [36, 37, 38, 39, 40, 79],
+    300: [35, 36, 37, 38, 79],
+    310: [34, 35, 36, 37, 79],
+    320: [32, 33, 34, 35, 79],
+    330: [30, 31, 32, 33, 34, 79],
+    340: [29, 30, 31, 32, 79],
+    350: [28, 29, 30, 31, 79],
+    360: [26, 27, 28, 79],
+    370: [23, 24, 25, 26, 27, 79],
+    380: [22, 23, 24, 25, 79],
+    390: [20, 21, 22, 23, 24, 79],
+    400: [18, 19, 20, 21, 22, 79],
+    410: [17, 18, 19, 20],
+    420: [16, 17, 18, 79],
+    430: [13, 14, 15, 80],
+    440: [11, 12, 13],
+    450: [8, 9, 10, 11, 12, 80],
+    460: [6, 7, 8, 9, 10, 80],
+    470: [4, 5, 6, 7, 8, 80],
+    480: [4, 5, 6, 7, 80],
+    490: [4, 5, 80]
+  },
+  430: {
+    0: [67, 68, 69, 74, 75],
+    10: [66, 67, 68, 74, 75],
+    20: [65, 66, 67, 75, 76],
+    30: [64, 65, 66, 75, 76],
+    40: [63, 64, 65, 75, 76],
+    50: [62, 63, 64, 76],
+    60: [61, 62, 63, 76],
+    70: [61, 62, 76, 77],
+    80: [60, 61, 62, 76, 77],
+    90: [59, 60, 61, 76, 77],
+    100: [58, 59, 60, 77],
+    110: [57, 58, 59, 77],
+    120: [56, 57, 58, 77],
+    130: [55, 56, 57, 77],
+    140: [54, 55, 56, 77],
+    150: [53, 54, 55, 77],
+    160: [52, 53, 54, 77, 78],
+    170: [51, 52, 53, 77, 78],
+    180: [50, 51, 52, 78],
+    190: [49, 50, 51, 78],
+    200: [48, 49, 50, 78],
+    210: [46, 47, 48, 49, 78],
+    220: [46, 47, 48, 78],
+    230: [44, 45, 46, 47, 78],
+    240: [43, 44, 45, 78],
+    250: [42, 43, 44, 78],
+    260: [40, 41, 42, 43, 78],
+    270: [39, 40, 41, 42, 78],
+    280: [38, 39, 40, 41, 78],
+    290: [36, 37, 38, 39, 79],
+    300: [34, 35, 36, 37, 78],
+    310: [33, 34, 35, 36, 79],
+    320: [32, 33, 34, 35, 79],
+    330: [30, 31, 32, 33, 79],
+    340: [28, 29, 30, 31, 79],
+    350: [27, 28, 29, 30, 79],
+    360: [25, 26, 27, 28, 29, 79],
+    370: [24, 25, 26, 27, 79],
+    380: [22, 23, 24, 25, 79],
+    390: [20, 21, 22, 23, 79],
+    400: [18, 19, 20, 21, 79],
+    410: [16, 17, 18, 19, 20, 79],
+    420: [14, 15, 16, 17, 18, 79],
+    430: [13, 14, 15, 16, 79],
+    440: [11, 12, 13, 14, 79],
+    450: [9, 10, 11, 12, 79],
+    460: [8, 9, 10, 79],
+    470: [6, 7, 8, 79],
+    480: [5, 6, 79],
+    490: [4, 79]
+  },
+  440: {
+    0: [66, 67, 68, 73, 74],
+    10: [65, 66, 67, 74, 75],
+    20: [65, 66, 74, 75],
+    30: [64, 65, 75],
+    40: [63, 64, 75, 76],
+    50: [62, 63, 64, 75, 76],
+    60: [61, 62, 63, 75, 76],
+    70: [60, 61, 62, 76],
+    80: [59, 60, 61, 76],
+    90: [58, 59, 60, 76],
+    100: [57, 58, 59, 76, 77],
+    110: [56, 57, 58, 76, 77],
+    120: [56, 57, 76, 77],
+    130: [55, 56, 57, 77],
+    140: [54, 55, 56, 77],
+    150: [53, 54, 55, 77],
+    160: [52, 53, 54, 77],
+    170: [50, 51, 52, 53, 77],
+    180: [50, 51, 52, 77],
+    190: [48, 49, 50, 51, 77],
+    200: [47, 48, 49, 50, 77],
+    210: [46, 47, 48, 49, 77, 78],
+    220: [45, 46, 47, 78],
+    230: [44, 45, 46, 78],
+    240: [42, 43, 44, 45, 78],
+    250: [41, 42, 43, 44, 78],
+    260: [40, 41, 42, 43, 78],
+    270: [38, 39, 40, 41, 78],
+    280: [37, 38, 39, 40, 78],
+    290: [36, 37, 38, 39, 78],
+    300: [35, 36, 37, 78],
+    310: [33, 34, 35, 78],
+    320: [31, 32, 33, 34, 78],
+    330: [30, 31, 32, 33, 78],
+    340: [29, 30, 31, 78],
+    350: [26, 27, 28, 29],
+    360: [25, 26, 27, 28, 78],
+    370: [23, 24, 25, 26, 79],
+    380: [21, 22, 23, 24, 25, 79],
+    390: [20, 21, 22, 23, 79],
+    400: [19, 20, 21, 79],
+    410: [16, 17, 18, 19, 79],
+    420: [14, 15, 16, 17, 79],
+    430: [12, 13, 14, 15, 16, 79],
+    440: [10, 11, 12, 13, 14, 79],
+    450: [9, 10, 11, 12, 13, 79],
+    460: [7, 8, 9, 10, 11, 79],
+    470: [5, 6, 7, 8, 9, 79],
+    480: [4, 5, 6, 7, 79],
+    490: [4, 5, 79],
+    500: [4]
+  },
+  450: {
+    0: [66, 67, 68, 72, 73, 74],
+    10: [65, 66, 67, 73, 74],
+    20: [64, 65, 66, 74, 75],
+    30: [63, 64, 65, 74, 75],
+    40: [62, 63, 64, 74, 75],
+    50: [61, 62, 63, 75],
+    60: [61, 62, 75],
+    70: [60, 61, 75, 76],
+    80: [59, 60, 75, 76],
+    90: [58, 59, 60, 76],
+    100: [57, 58, 59, 76],
+    110: [56, 57, 58, 76],
+    120: [55, 56, 57, 76],
+    130: [54, 55, 56, 76],
+    140: [53, 54, 55, 76],
+    150: [52, 53, 54, 76, 77],
+    160: [51, 52, 53, 76, 77],
+    170: [50, 51, 52, 77],
+    180: [49, 50, 51, 77],
+    190: [48, 49, 50, 77],
+    200: [47, 48, 49, 77],
+    210: [46, 47, 48, 77],
+    220: [44, 45, 46, 47, 77],
+    230: [43, 44, 45, 77],
+    240: [42, 43, 44, 77],
+    250: [41, 42, 43, 77],
+    260: [39, 40, 41, 42, 78],
+    270: [38, 39, 40, 41, 77, 78],
+    280: [37, 38, 39, 78],
+    290: [35, 36, 37, 38, 78],
+    300: [34, 35, 36, 37, 78],
+    310: [33, 34, 35, 78],
+    320: [31, 32, 33, 78],
+    330: [29, 30, 31, 32, 78],
+    340: [28, 29, 30, 31, 78],
+    350: [26, 27, 28, 29, 78],
+    360: [25, 26, 27, 28, 78],
+    370: [23, 24, 25, 78],
+    380: [21, 22, 23, 24, 78],
+    390: [19, 20, 21, 22, 23, 78],
+    400: [18, 19, 20, 21, 78],
+    410: [16, 17, 18, 19, 20, 78],
+    420: [15, 16, 17, 18, 78],
+    430: [14, 15, 16, 78],
+    440: [12, 13, 14],
+    450: [9, 10, 11],
+    460: [7, 8, 9, 10, 79],
+    470: [5, 6, 7, 8],
+    480: [4, 5, 6, 7, 79],
+    490: [4, 5, 79]
+  },
+  460: {
+    0: [66, 67, 68, 71, 72, 73],
+    10: [65, 66, 67, 72, 73, 74],
+    20: [64, 65, 66, 73, 74],
+    30: [63, 64, 65, 73, 74],
+    40: [62, 63, 64, 74, 75],
+    50: [61, 62, 63, 74, 75],
+    60: [60, 61, 62, 74, 75],
+    70: [59, 60, 61, 75],
+    80: [58, 59, 60, 75],
+    90: [57, 58, 59, 75],
+    100: [57, 58, 75, 76],
+    110: [55, 56, 57, 75, 76],
+    120: [55, 56, 76],
+    130: [54, 55, 76],
+    140: [53, 54, 55, 76],
+    150: [52, 53, 76],
+    160: [50, 51, 52, 53, 76],
+    170: [49, 50, 51, 76],
+    180: [48, 49, 50, 51, 76],
+    190: [47, 48, 49, 76, 77],
+    200: [46, 47, 48, 77],
+    210: [45, 46, 47, 77],
+    220: [44, 45, 46, 77],
+    230: [43, 44, 45, 77],
+    240: [41, 42, 43, 44, 77],
+    250: [40, 41, 42, 43, 77],
+    260: [39, 40, 41, 77],
+    270: [37, 38, 39, 40, 77],
+    280: [36, 37, 38, 39, 77],
+    290: [35, 36, 37, 38, 77],
+    300: [33, 34, 35, 77],
+    310: [32, 33, 34, 35, 77],
+    320: [31, 32, 33, 77, 78],
+    330: [30, 31, 32, 78],
+    340: [27, 28, 29, 30, 78],
+    350: [26, 27, 28, 29, 78],
+    360: [24, 25, 26, 27, 78],
+    370: [23, 24, 25, 26, 78],
+    380: [22, 23, 24, 78],
+    390: [20, 21, 22, 78],
+    400: [18, 19, 20, 78],
+    410: [16, 17, 18, 19, 78],
+    420: [14, 15, 16, 17, 18, 78],
+    430: [13, 14, 15, 16, 78],
+    440: [11, 12, 13, 14, 15, 78],
+    450: [9, 10, 11, 12, 13, 78],
+    460: [8, 9, 10, 11, 78],
+    470: [6, 7, 8, 9, 78],
+    480: [5, 6, 7],
+    490: [5, 6]
+  },
+  470: {
+    0: [65, 66, 67, 68, 69, 70, 71, 72, 73],
+    10: [64, 65, 66, 67, 72, 73],
+    20: [63, 64, 65, 72, 73],
+    30: [63, 64, 73, 74],
+    40: [62, 63, 73, 74],
+    50: [61, 62, 74],
+    60: [60, 61, 74],
+    70: [59, 60, 74, 75],
+    80: [58, 59, 74, 75],
+    90: [57, 58, 59, 75],
+    100: [56, 57, 58, 75],
+    110: [55, 56, 57, 75],
+    120: [54, 55, 56, 75],
+    130: [53, 54, 55, 75],
+    140: [52, 53, 54, 75, 76],
+    150: [51, 52, 53, 75, 76],
+    160: [50, 51, 52, 76],
+    170: [49, 50, 51, 76],
+    180: [48, 49, 50, 76],
+    190: [47, 48, 49, 76],
+    200: [46, 47, 48, 76],
+    210: [45, 46, 47, 76],
+    220: [43, 44, 45, 76],
+    230: [42, 43, 44, 76, 77],
+    240: [41, 42, 43, 76, 77],
+    250: [39, 40, 41, 42, 77],
+    260: [38, 39, 40, 41, 77],
+    270: [37, 38, 39, 40, 77],
+    280: [36, 37, 38, 77],
+    290: [34, 35, 36, 37, 77],
+    300: [33, 34, 35, 36, 77],
+    310: [32, 33, 34, 77],
+    320: [30, 31, 32, 33, 77],
+    330: [29, 30, 31, 32, 77],
+    340: [27, 28, 29, 30, 77],
+    350: [26, 27, 28, 29, 77],
+    360: [24, 25, 26, 77],
+    370: [22, 23, 24, 25, 77],
+    380: [21, 22, 23, 24, 77],
+    390: [19, 20, 21, 22, 23, 77],
+    400: [18, 19, 20, 21, 78],
+    410: [17, 18, 19],
+    420: [15, 16, 17, 78],
+    430: [13, 14, 15, 78],
+    440: [11, 12, 13, 14, 78],
+    450: [9, 10, 11, 12, 78],
+    460: [8, 9, 10, 11, 78],
+    470: [6, 7, 8, 9, 78],
+    480: [5, 6, 7, 8, 78],
+    490: [5, 6],
+    500: [5]
+  },
+  480: {
+    0: [65, 66, 67, 68, 69, 70, 71, 72],
+    10: [64, 65, 66, 67, 71, 72],
+    20: [63, 64, 65, 72, 73],
+    30: [62, 63, 64, 72, 73],
+    40: [61, 62, 63, 73],
+    50: [60, 61, 62, 73, 74],
+    60: [59, 60, 61, 73, 74],
+    70: [58, 59, 60, 74],
+    80: [57, 58, 59, 74],
+    90: [56, 57, 58, 74],
+    100: [56, 57, 74, 75],
+    110: [55, 56, 74, 75],
+    120: [54, 55, 75],
+    130: [53, 54, 75],
+    140: [52, 53, 54, 75],
+    150: [51, 52, 75],
+    160: [49, 50, 51, 52, 75],
+    170: [49, 50, 75, 76],
+    180: [47, 48, 49, 50, 75, 76],
+    190: [46, 47, 48, 76],
+    200: [45, 46, 47, 76],
+    210: [44, 45, 46, 76],
+    220: [43, 44, 45, 76],
+    230: [42, 43, 44, 76],
+    240: [40, 41, 42, 43, 76],
+    250: [40, 41, 42, 76],
+    260: [38, 39, 40, 76],
+    270: [37, 38, 39, 76],
+    280: [36, 37, 38, 76],
+    290: [34, 35, 36, 76],
+    300: [32, 33, 34, 35, 77],
+    310: [31, 32, 33, 34, 77],
+    320: [30, 31, 32, 33, 77],
+    330: [28, 29, 30, 31, 77],
+    340: [27, 28, 29, 77],
+    350: [25, 26, 27, 28, 77],
+    360: [24, 25, 26, 27, 77],
+    370: [23, 24, 25, 77],
+    380: [21, 22, 23, 77],
+    390: [19, 20, 21, 22, 77],
+    400: [17, 18, 19, 20, 21, 77],
+    410: [16, 17, 18, 19, 77],
+    420: [15, 16, 17, 18, 77],
+    430: [13, 14, 15, 16, 77],
+    440: [12, 13, 14],
+    450: [11, 12, 13, 77],
+    460: [9, 10, 11],
+    470: [7, 8, 9, 78],
+    480: [5, 6, 7],
+    490: [5]
+  },
+  490: {
+    0: [65, 66, 67, 68, 69, 70, 71],
+    10: [64, 65, 66, 67, 69, 70, 71, 72],
+    20: [63, 64, 65, 71, 72],
+    30: [62, 63, 64, 71, 72, 73],
+    40: [61, 62, 63, 72, 73],
+    50: [60, 61, 62, 72, 73],
+    60: [59, 60, 61, 73],
+    70: [58, 59, 60, 73, 74],
+    80: [57, 58, 59, 73, 74],
+    90: [56, 57, 58, 74],
+    100: [55, 56, 57, 74],
+    110: [54, 55, 56, 74],
+    120: [53, 54, 55, 74],
+    130: [52, 53, 54, 74, 75],
+    140: [51, 52, 53, 74, 75],
+    150: [50, 51, 52, 75],
+    160: [49, 50, 51, 75],
+    170: [48, 49, 50, 75],
+    180: [47, 48, 49, 75],
+    190: [46, 47, 48, 75],
+    200: [45, 46, 47, 75],
+    210: [44, 45, 46, 75],
+    220: [42, 43, 44, 76],
+    230: [42, 43, 44, 75, 76],
+    240: [40, 41, 42, 76],
+    250: [39, 40, 41, 76],
+    260: [38, 39, 40, 76],
+    270: [36, 37, 38, 39, 76],
+    280: [35, 36, 37, 76],
+    290: [34, 35, 36, 76],
+    300: [33, 34, 35, 76],
+    310: [31, 32, 33, 76],
+    320: [29, 30, 31, 32, 76],
+    330: [28, 29, 30, 31, 76],
+    340: [27, 28, 29],
+    350: [25, 26, 27, 76],
+    360: [24, 25, 26, 77],
+    370: [22, 23, 24, 25, 77],
+    380: [21, 22, 23, 24, 77],
+    390: [20, 21, 22, 77],
+    400: [18, 19, 20, 77],
+    410: [16, 17, 18, 77],
+    420: [14, 15, 16, 17, 77],
+    430: [13, 14, 15, 16, 77],
+    440: [11, 12, 13, 14, 77],
+    450: [10, 11, 12, 13, 77],
+    460: [8, 9, 10, 11, 77],
+    470: [7, 8, 9, 10, 77],
+    480: [6, 7, 8, 77],
+    490: [6, 7]
+  },
+  500: {
+    0: [65, 66, 67, 68, 69, 70],
+    10: [64, 65, 66, 67, 68, 69, 70, 71],
+    20: [63, 64, 65, 70, 71, 72],
+    30: [61, 62, 63, 64, 71, 72],
+    40: [60, 61, 62, 71, 72],
+    50: [59, 60, 61, 72, 73],
+    60: [59, 60, 72, 73],
+    70: [58, 59, 72, 73],
+    80: [57, 58, 73],
+    90: [56, 57, 73],
+    100: [55, 56, 73, 74],
+    110: [54, 55, 56, 73, 74],
+    120: [53, 54, 55, 74],
+    130: [52, 53, 54, 74],
+    140: [51, 52, 53, 74],
+    150: [50, 51, 52, 74],
+    160: [49, 50, 51, 74, 75],
+    170: [48, 49, 50, 74, 75],
+    180: [46, 47, 48, 75],
+    190: [46, 47, 48, 75],
+    200: [44, 45, 46, 75],
+    210: [43, 44, 45, 75],
+    220: [42, 43, 44, 75],
+    230: [41, 42, 43, 75],
+    240: [40, 41, 42, 75],
+    250: [38, 39, 40, 41, 75],
+    260: [37, 38, 39, 75],
+    270: [36, 37, 38, 76],
+    280: [35, 36, 37, 76],
+    290: [33, 34, 35, 36, 76],
+    300: [32, 33, 34, 35, 76],
+    310: [31, 32, 33, 76],
+    320: [29, 30, 31, 32, 76],
+    330: [28, 29, 30, 76],
+    340: [27, 28, 29, 76],
+    350: [25, 26, 27, 28, 76],
+    360: [24, 25, 26, 76],
+    370: [22, 23, 24, 76],
+    380: [21, 22, 23, 76],
+    390: [19, 20, 21, 22, 76],
+    400: [18, 19, 20, 21, 76],
+    410: [16, 17, 18, 19, 76],
+    420: [15, 16, 17, 18, 77],
+    430: [14, 15, 16, 77],
+    440: [12, 13, 14, 77],
+    450: [10, 11, 12, 77],
+    460: [8, 9, 10, 11, 77],
+    470: [7, 8, 9, 10, 77],
+    480: [6, 7, 8, 77],
+    490: [6, 7]
+  },
+  510: {
+    0: [65, 66, 67, 68, 69, 70],
+    10: [64, 65, 66, 67, 68, 69, 70],
+    20: [62, 63, 64, 65, 69, 70, 71],
+    30: [61, 62, 63, 64, 70, 71],
+    40: [60, 61, 62, 71, 72],
+    50: [59, 60, 61, 71, 72],
+    60: [58, 59, 60, 71, 72],
+    70: [57, 58, 59, 72],
+    80: [56, 57, 58, 72, 73],
+    90: [55, 56, 57, 72, 73],
+    100: [54, 55, 56, 73],
+    110: [53, 54, 55, 73],
+    120: [53, 54, 73, 74],
+    130: [51, 52, 53, 73, 74],
+    140: [50, 51, 52, 73, 74],
+    150: [49, 50, 51, 74],
+    160: [48, 49, 50, 74],
+    170: [47, 48, 49, 74],
+    180: [46, 47, 48, 74],
+    190: [45, 46, 47, 74],
+    200: [44, 45, 46, 74, 75],
+    210: [43, 44, 45, 75],
+    220: [42, 43, 44, 75],
+    230: [41, 42, 43, 75],
+    240: [39, 40, 41, 75],
+    250: [38, 39, 40, 75],
+    260: [37, 38, 39, 75],
+    270: [36, 37, 38, 75],
+    280: [35, 36, 37, 75],
+    290: [34, 35, 36, 75],
+    300: [32, 33, 34, 75],
+    310: [30, 31, 32, 33, 76],
+    320: [29, 30, 31, 32, 75],
+    330: [28, 29, 30, 76],
+    340: [26, 27, 28, 29, 76],
+    350: [25, 26, 27, 76],
+    360: [24, 25, 26, 76],
+    370: [22, 23, 24, 25, 76],
+    380: [21, 22, 23, 76],
+    390: [19, 20, 21, 22, 76],
+    400: [18, 19, 20, 76],
+    410: [16, 17, 18, 19, 76],
+    420: [15, 16, 17, 18, 76],
+    430: [13, 14, 15, 16, 76],
+    440: [12, 13, 14, 15, 76],
+    450: [11, 12, 13, 76],
+    460: [9, 10, 11, 12, 76],
+    470: [8, 9, 10],
+    480: [7, 8, 9, 76],
+    490: [7]
+  },
+  520: {
+    0: [65, 66, 67, 68, 69],
+    10: [63, 64, 65, 66, 67, 68, 69, 70],
+    20: [62, 63, 64, 65, 66, 67, 68, 69, 70],
+    30: [61, 62, 63, 64, 69, 70, 71],
+    40: [60, 61, 62, 70, 71],
+    50: [59, 60, 61, 70, 71],
+    60: [58, 59, 60, 71, 72],
+    70: [57, 58, 59, 71, 72],
+    80: [56, 57, 58, 72],
+    90: [55, 56, 57, 72],
+    100: [54, 55, 56, 72, 73],
+    110: [53, 54, 55, 72, 73],
+    120: [52, 53, 54, 73],
+    130: [51, 52, 53, 73],
+    140: [50, 51, 52, 73],
+    150: [49, 50, 51, 73, 74],
+    160: [48, 49, 50, 73, 74],
+    170: [47, 48, 49, 74],
+    180: [46, 47, 48, 74],
+    190: [45, 46, 47, 74],
+    200: [44, 45, 46, 74],
+    210: [43, 44, 45, 74],
+    220: [41, 42, 43, 74],
+    230: [40, 41, 42, 74],
+    240: [39, 40, 41, 74, 75],
+    250: [38, 39, 40, 74, 75],
+    260: [37, 38, 39, 75],
+    270: [36, 37, 38, 75],
+    280: [34, 35, 36, 75],
+    290: [33, 34, 35, 75],
+    300: [32, 33, 34, 75],
+    310: [30, 31, 32, 33, 75],
+    320: [29, 30, 31, 75],
+    330: [28, 29, 30, 75],
+    340: [27, 28, 29, 75],
+    350: [25, 26, 27, 28, 75],
+    360: [23, 24, 25, 26, 75],
+    370: [22, 23, 24, 76],
+    380: [21, 22, 23, 75],
+    390: [19, 20, 21, 22, 76],
+    400: [18, 19, 20, 21, 76],
+    410: [17, 18, 19, 76],
+    420: [15, 16, 17, 76],
+    430: [13, 14, 15, 76],
+    440: [12, 13, 14, 76],
+    450: [10, 11, 12, 13, 76],
+    460: [9, 10, 11, 12, 76],
+    470: [7, 8, 9, 10, 76],
+    480: [7, 8, 9, 76],
+    490: [7, 8, 76]
+  },
+  530: {
+    0: [65, 66, 67],
+    10: [63, 64, 65, 66, 67, 68, 69],
+    20: [62, 63, 64, 65, 66, 67, 68, 69],
+    30: [61, 62, 63, 64, 68, 69, 70],
+    40: [60, 61, 62, 69, 70],
+    50: [59, 60, 61, 70, 71],
+    60: [58, 59, 60, 70, 71],
+    70: [57, 58, 59, 71],
+    80: [56, 57, 58, 71, 72],
+    90: [55, 56, 57, 71, 72],
+    100: [54, 55, 56, 72],
+    110: [53, 54, 72],
+    120: [52, 53, 72],
+    130: [51, 52, 53, 72, 73],
+    140: [50, 51, 52, 72, 73],
+    150: [49, 50, 73],
+    160: [48, 49, 50, 73],
+    170: [47, 48, 73],
+    180: [45, 46, 47, 48, 73],
+    190: [44, 45, 46, 73, 74],
+    200: [43, 44, 45, 73, 74],
+    210: [42, 43, 44, 74],
+    220: [41, 42, 43, 74],
+    230: [40, 41, 42, 74],
+    240: [39, 40, 41, 74],
+    250: [38, 39, 40, 74],
+    260: [36, 37, 38, 39, 74],
+    270: [35, 36, 37, 74],
+    280: [34, 35, 36, 74],
+    290: [33, 34, 35, 74, 75],
+    300: [31, 32, 33, 75],
+    310: [30, 31, 32, 33, 75],
+    320: [29, 30, 31, 75],
+    330: [27, 28, 29, 30, 75],
+    340: [26, 27, 28, 75],
+    350: [25, 26, 27, 75],
+    360: [24, 25, 26, 75],
+    370: [23, 24, 25, 75],
+    380: [21, 22, 23, 75],
+    390: [19, 20, 21, 75],
+    400: [18, 19, 20, 75],
+    410: [16, 17, 18, 19, 75],
+    420: [15, 16, 17, 18, 75],
+    430: [14, 15, 16],
+    440: [13, 14, 15],
+    450: [12, 13, 76],
+    460: [10, 11, 12, 76],
+    470: [8, 9, 10, 76],
+    480: [7, 8, 76],
+    490: [7, 76]
+  },
+  540: {
+    10: [64, 65, 66, 67, 68],
+    20: [62, 63, 64, 65, 66, 67, 68, 69],
+    30: [61, 62, 63, 64, 65, 66, 67, 68, 69],
+    40: [60, 61, 62, 68, 69, 70],
+    50: [59, 60, 61, 69, 70],
+    60: [58, 59, 60, 70, 71],
+    70: [57, 58, 70, 71],
+    80: [56, 57, 70, 71],
+    90: [54, 55, 56, 71],
+    100: [53, 54, 55, 71, 72],
+    110: [53, 54, 71, 72],
+    120: [51, 52, 53, 72],
+    130: [50, 51, 52, 72],
+    140: [49, 50, 51, 72],
+    150: [48, 49, 50, 72],
+    160: [47, 48, 49, 72, 73],
+    170: [46, 47, 48, 72, 73],
+    180: [45, 46, 47, 73],
+    190: [44, 45, 46, 73],
+    200: [43, 44, 45, 73],
+    210: [42, 43, 44, 73],
+    220: [41, 42, 43, 73],
+    230: [40, 41, 42, 73, 74],
+    240: [38, 39, 40, 41, 73, 74],
+    250: [37, 38, 39, 74],
+    260: [36, 37, 38, 74],
+    270: [35, 36, 37, 74],
+    280: [34, 35, 36, 74],
+    290: [33, 34, 35, 74],
+    300: [32, 33, 34, 74],
+    310: [30, 31, 32, 74],
+    320: [29, 30, 31, 74],
+    330: [28, 29, 30, 74],
+    340: [27, 28, 29, 74],
+    350: [25, 26, 27, 74, 75],
+    360: [23, 24, 25, 75],
+    370: [22, 23, 24, 75],
+    380: [21, 22, 23, 75],
+    390: [20, 21, 22, 75],
+    400: [18, 19, 20, 75],
+    410: [17, 18, 19, 75],
+    420: [15, 16, 17, 75],
+    430: [14, 15, 16, 75],
+    440: [12, 13, 14, 15, 75],
+    450: [11, 12, 13, 14, 75],
+    460: [10, 11, 12, 75],
+    470: [8, 9, 10, 11, 75],
+    480: [8, 9, 75],
+    490: [8, 75]
+  },
+  550: {
+    10: [64, 65, 66, 67],
+    20: [62, 63, 64, 65, 66, 67, 68],
+    30: [61, 62, 63, 64, 65, 66, 67, 68, 69],
+    40: [60, 61, 62, 67, 68, 69],
+    50: [58, 59, 60, 61, 68, 69, 70],
+    60: [57, 58, 59, 69, 70],
+    70: [56, 57, 58, 69, 70],
+    80: [55, 56, 57, 70, 71],
+    90: [54, 55, 56, 70, 71],
+    100: [53, 54, 55, 70, 71],
+    110: [52, 53, 54, 71],
+    120: [51, 52, 53, 71, 72],
+    130: [50, 51, 52, 71, 72],
+    140: [49, 50, 51, 71, 72],
+    150: [48, 49, 50, 72],
+    160: [47, 48, 49, 72],
+    170: [46, 47, 48, 72],
+    180: [45, 46, 47, 72],
+    190: [44, 45, 46, 72, 73],
+    200: [43, 44, 45, 72, 73],
+    210: [42, 43, 73],
+    220: [41, 42, 43, 73],
+    230: [39, 40, 41, 73],
+    240: [38, 39, 40, 73],
+    250: [37, 38, 39, 73],
+    260: [36, 37, 38, 73],
+    270: [35, 36, 37, 73, 74],
+    280: [34, 35, 36, 73, 74],
+    290: [32, 33, 34, 74],
+    300: [31, 32, 33, 74],
+    310: [30, 31, 32, 74],
+    320: [29, 30, 31, 74],
+    330: [27, 28, 29, 74],
+    340: [26, 27, 28, 74],
+    350: [25, 26, 27, 74],
+    360: [24, 25, 26, 74],
+    370: [22, 23, 24, 74],
+    380: [21, 22, 23, 74],
+    390: [19, 20, 21, 22, 74],
+    400: [18, 19, 20, 21, 75],
+    410: [17, 18, 19, 75],
+    420: [16, 17, 18, 75],
+    430: [15, 16, 75],
+    440: [13, 14, 15, 75],
+    450: [11, 12, 13, 75],
+    460: [10, 11, 12, 75],
+    470: [8, 9, 10, 11, 75],
+    480: [8, 9, 75],
+    490: [8, 75],
+    500: [75]
+  },
+  560: {
+    10: [65],
+    20: [62, 63, 64, 65, 66, 67],
+    30: [61, 62, 63, 64, 65, 66, 67, 68],
+    40: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    50: [58, 59, 60, 61, 67, 68, 69],
+    60: [57, 58, 59, 68, 69],
+    70: [56, 57, 58, 69, 70],
+    80: [55, 56, 57, 69, 70],
+    90: [54, 55, 56, 70],
+    100: [53, 54, 55, 70, 71],
+    110: [52, 53, 54, 70, 71],
+    120: [51, 52, 53, 70, 71],
+    130: [50, 51, 52, 71],
+    140: [49, 50, 51, 71],
+    150: [48, 49, 50, 71, 72],
+    160: [47, 48, 49, 71, 72],
+    170: [46, 47, 48, 72],
+    180: [45, 46, 72],
+    190: [44, 45, 46, 72],
+    200: [43, 44, 72],
+    210: [41, 42, 43, 72],
+    220: [40, 41, 42, 72, 73],
+    230: [40, 41, 72, 73],
+    240: [38, 39, 40, 73],
+    250: [37, 38, 39, 73],
+    260: [36, 37, 38, 73],
+    270: [34, 35, 36, 37, 73],
+    280: [33, 34, 35, 73],
+    290: [33, 34, 73],
+    300: [31, 32, 33, 73],
+    310: [30, 31, 32, 73],
+    320: [29, 30, 31, 73, 74],
+    330: [28, 29, 30, 74],
+    340: [26, 27, 28, 74],
+    350: [25, 26, 74],
+    360: [23, 24, 25, 26, 74],
+    370: [22, 23, 24, 74],
+    380: [21, 22, 23, 74],
+    390: [20, 21, 22, 74],
+    400: [18, 19, 20, 74],
+    410: [17, 18, 19, 74],
+    420: [15, 16, 17, 18, 74],
+    430: [14, 15, 16, 17, 74],
+    440: [13, 14, 15],
+    450: [12, 13, 14, 74],
+    460: [11, 12, 13, 75],
+    470: [9, 10, 11, 75],
+    480: [8, 9, 10, 75],
+    490: [8, 75]
+  },
+  570: {
+    20: [63, 64, 65, 66],
+    30: [61, 62, 63, 64, 65, 66, 67],
+    40: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    50: [58, 59, 60, 61, 66, 67, 68],
+    60: [57, 58, 59, 60, 67, 68, 69],
+    70: [56, 57, 58, 68, 69],
+    80: [55, 56, 57, 68, 69],
+    90: [54, 55, 56, 69, 70],
+    100: [53, 54, 55, 69, 70],
+    110: [52, 53, 54, 70],
+    120: [51, 52, 53, 70],
+    130: [50, 51, 52, 70, 71],
+    140: [49, 50, 70, 71],
+    150: [48, 49, 71],
+    160: [47, 48, 71],
+    170: [46, 47, 71],
+    180: [44, 45, 46, 71, 72],
+    190: [44, 45, 71, 72],
+    200: [42, 43, 44, 72],
+    210: [41, 42, 43, 72],
+    220: [40, 41, 42, 72],
+    230: [39, 40, 41, 72],
+    240: [38, 39, 40, 72],
+    250: [37, 38, 39, 72],
+    260: [36, 37, 72, 73],
+    270: [35, 36, 37, 72, 73],
+    280: [33, 34, 35, 73],
+    290: [32, 33, 34, 73],
+    300: [31, 32, 33, 73],
+    310: [30, 31, 32, 73],
+    320: [28, 29, 30, 31, 73],
+    330: [27, 28, 29, 73],
+    340: [26, 27, 28, 73],
+    350: [25, 26, 27, 73],
+    360: [23, 24, 25, 26, 73],
+    370: [22, 23, 24, 73],
+    380: [21, 22, 23, 74],
+    390: [20, 21, 22, 74],
+    400: [18, 19, 20, 21, 74],
+    410: [17, 18, 19, 74],
+    420: [16, 17, 18, 74],
+    430: [14, 15, 16, 74],
+    440: [13, 14, 15, 74],
+    450: [11, 12, 13, 14, 74],
+    460: [10, 11, 12, 13, 74],
+    470: [9, 10, 11, 74],
+    480: [8, 9, 10, 74],
+    490: [8, 9],
+    500: [8]
+  },
+  580: {
+    20: [64],
+    30: [61, 62, 63, 64, 65, 66],
+    40: [60, 61, 62, 63, 64, 65, 66, 67],
+    50: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    60: [57, 58, 59, 60, 66, 67, 68],
+    70: [56, 57, 58, 67, 68, 69],
+    80: [55, 56, 57, 68, 69],
+    90: [54, 55, 56, 68, 69],
+    100: [53, 54, 69],
+    110: [52, 53, 69, 70],
+    120: [51, 52, 69, 70],
+    130: [49, 50, 51, 70],
+    140: [49, 50, 70],
+    150: [47, 48, 49, 70, 71],
+    160: [47, 48, 70, 71],
+    170: [45, 46, 47, 70, 71],
+    180: [44, 45, 46, 71],
+    190: [43, 44, 45, 71],
+    200: [42, 43, 44, 71],
+    210: [41, 42, 43, 71, 72],
+    220: [40, 41, 42, 71, 72],
+    230: [39, 40, 41, 72],
+    240: [38, 39, 40, 72],
+    250: [37, 38, 72],
+    260: [35, 36, 37, 38, 72],
+    270: [34, 35, 36, 72],
+    280: [33, 34, 35, 72],
+    290: [32, 33, 34, 72],
+    300: [31, 32, 33, 72],
+    310: [30, 31, 73],
+    320: [29, 30, 31, 73],
+    330: [27, 28, 29, 73],
+    340: [26, 27, 28, 73],
+    350: [25, 26, 27, 73],
+    360: [23, 24, 25, 26, 73],
+    370: [23, 24, 25, 73],
+    380: [21, 22, 23, 73],
+    390: [20, 21, 22, 73],
+    400: [18, 19, 20, 73],
+    410: [17, 18, 19, 73],
+    420: [16, 17, 18, 73],
+    430: [15, 16, 17, 74],
+    440: [14, 15, 16, 74],
+    450: [13, 14, 74],
+    460: [11, 12, 13, 74],
+    470: [9, 10, 11, 74],
+    480: [8, 9, 74],
+    490: [8]
+  },
+  590: {
+    30: [61, 62, 63, 64, 65],
+    40: [60, 61, 62, 63, 64, 65, 66],
+    50: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    60: [57, 58, 59, 60, 65, 66, 67],
+    70: [56, 57, 58, 66, 67, 68],
+    80: [55, 56, 57, 67, 68],
+    90: [54, 55, 56, 67, 68, 69],
+    100: [52, 53, 54, 68, 69],
+    110: [51, 52, 53, 68, 69],
+    120: [51, 52, 69],
+    130: [49, 50, 51, 69, 70],
+    140: [48, 49, 50, 69, 70],
+    150: [47, 48, 49, 70],
+    160: [46, 47, 48, 70],
+    170: [45, 46, 47, 70],
+    180: [44, 45, 46, 70, 71],
+    190: [43, 44, 45, 70, 71],
+    200: [42, 43, 44, 71],
+    210: [41, 42, 43, 71],
+    220: [40, 41, 42, 71],
+    230: [39, 40, 41, 71],
+    240: [38, 39, 40, 71],
+    250: [36, 37, 38, 71, 72],
+    260: [35, 36, 37, 71, 72],
+    270: [35, 36, 72],
+    280: [33, 34, 35, 72],
+    290: [32, 33, 34, 72],
+    300: [31, 32, 33, 72],
+    310: [30, 31, 32, 72],
+    320: [28, 29, 30, 72],
+    330: [27, 28, 29, 72],
+    340: [26, 27, 28, 72],
+    350: [25, 26, 27, 73],
+    360: [23, 24, 25, 73],
+    370: [22, 23, 24, 73],
+    380: [21, 22, 23, 73],
+    390: [20, 21, 22, 73],
+    400: [19, 20, 21, 73],
+    410: [17, 18, 19, 73],
+    420: [16, 17, 18, 73],
+    430: [14, 15, 16, 73],
+    440: [13, 14, 15, 73],
+    450: [12, 13, 14, 73],
+    460: [11, 12, 13, 73],
+    470: [10, 11, 12],
+    480: [9, 10, 11, 73],
+    490: [9]
+  },
+  600: {
+    30: [63],
+    40: [60, 61, 62, 63, 64, 65],
+    50: [58, 59, 60, 61, 62, 63, 64, 65, 66],
+    60: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    70: [56, 57, 58, 59, 65, 66, 67],
+    80: [55, 56, 57, 66, 67, 68],
+    90: [54, 55, 56, 67, 68],
+    100: [52, 53, 54, 67, 68],
+    110: [51, 52, 53, 68, 69],
+    120: [50, 51, 52, 68, 69],
+    130: [49, 50, 51, 68, 69],
+    140: [48, 49, 50, 69],
+    150: [47, 48, 49, 69, 70],
+    160: [46, 47, 48, 69, 70],
+    170: [45, 46, 47, 69, 70],
+    180: [44, 45, 46, 70],
+    190: [43, 44, 45, 70],
+    200: [42, 43, 70],
+    210: [41, 42, 43, 70],
+    220: [40, 41, 70, 71],
+    230: [39, 40, 41, 71],
+    240: [37, 38, 39, 71],
+    250: [37, 38, 71],
+    260: [35, 36, 37, 71],
+    270: [34, 35, 36, 71],
+    280: [33, 34, 35, 71, 72],
+    290: [32, 33, 34, 71],
+    300: [31, 32, 72],
+    310: [30, 31, 72],
+    320: [29, 30, 72],
+    330: [27, 28, 29, 72],
+    340: [26, 27, 28, 72],
+    350: [25, 26, 27, 72],
+    360: [24, 25, 26, 72],
+    370: [23, 24, 25, 72],
+    380: [21, 22, 23, 72],
+    390: [20, 21, 72, 73],
+    400: [18, 19, 20, 21],
+    410: [17, 18, 19, 20, 73],
+    420: [16, 17, 18, 73],
+    430: [15, 16, 17, 73],
+    440: [14, 15, 16, 73],
+    450: [12, 13, 14, 73],
+    460: [11, 12, 13, 73],
+    470: [10, 11, 12, 73],
+    480: [9, 10, 73],
+    490: [9, 73]
+  },
+  610: {
+    40: [61, 62, 63, 64],
+    50: [59, 60, 61, 62, 63, 64, 65],
+    60: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    70: [56, 57, 58, 59, 64, 65, 66],
+    80: [55, 56, 57, 65, 66, 67],
+    90: [53, 54, 55, 56, 66, 67],
+    100: [52, 53, 54, 67, 68],
+    110: [51, 52, 53, 67, 68],
+    120: [50, 51, 52, 67, 68],
+    130: [49, 50, 51, 68, 69],
+    140: [48, 49, 50, 68, 69],
+    150: [47, 48, 49, 68, 69],
+    160: [46, 47, 48, 69],
+    170: [45, 46, 47, 69],
+    180: [44, 45, 46, 69, 70],
+    190: [43, 44, 45, 69, 70],
+    200: [42, 43, 44, 70],
+    210: [41, 42, 70],
+    220: [39, 40, 41, 70],
+    230: [38, 39, 40, 70],
+    240: [38, 39, 70, 71],
+    250: [36, 37, 38, 70, 71],
+    260: [35, 36, 37, 71],
+    270: [34, 35, 36, 71],
+    280: [33, 34, 35, 71],
+    290: [32, 33, 34, 71],
+    300: [31, 32, 33, 71],
+    310: [29, 30, 31, 32, 71],
+    320: [28, 29, 30, 71, 72],
+    330: [27, 28, 29, 71, 72],
+    340: [26, 27, 28, 72],
+    350: [25, 26, 27, 72],
+    360: [23, 24, 25, 72],
+    370: [22, 23, 24, 72],
+    380: [21, 22, 23, 72],
+    390: [20, 21, 22, 72],
+    400: [19, 20, 21, 72],
+    410: [17, 18, 19, 72],
+    420: [16, 17, 18, 72],
+    430: [15, 16, 17, 72],
+    440: [14, 15, 16, 72],
+    450: [13, 14, 15, 72, 73],
+    460: [12, 13, 14, 73],
+    470: [11, 12, 73],
+    480: [10, 11, 73],
+    490: [10, 73]
+  },
+  620: {
+    50: [59, 60, 61, 62, 63, 64],
+    60: [57, 58, 59, 60, 61, 62, 63, 64, 65],
+    70: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    80: [55, 56, 57, 58, 64, 65, 66],
+    90: [53, 54, 55, 56, 65, 66, 67],
+    100: [52, 53, 54, 55, 66, 67],
+    110: [51, 52, 53, 66, 67],
+    120: [50, 51, 52, 67, 68],
+    130: [49, 50, 51, 67, 68],
+    140: [48, 49, 50, 68],
+    150: [47, 48, 49, 68],
+    160: [46, 47, 48, 68, 69],
+    170: [45, 46, 47, 68, 69],
+    180: [44, 45, 46, 69],
+    190: [43, 44, 45, 69],
+    200: [42, 43, 69],
+    210: [40, 41, 42, 69, 70],
+    220: [40, 41, 69, 70],
+    230: [38, 39, 40, 70],
+    240: [37, 38, 39, 70],
+    250: [36, 37, 38, 70],
+    260: [35, 36, 37, 70],
+    270: [34, 35, 36, 70, 71],
+    280: [33, 34, 35, 70],
+    290: [32, 33, 34, 70, 71],
+    300: [31, 32, 71],
+    310: [30, 31, 71],
+    320: [29, 30, 71],
+    330: [27, 28, 29, 71],
+    340: [26, 27, 28, 71],
+    350: [25, 26, 27, 71],
+    360: [24, 25, 26, 71],
+    370: [22, 23, 24, 25, 71],
+    380: [21, 22, 23, 72],
+    390: [20, 21, 22, 72],
+    400: [19, 20, 21, 72],
+    410: [18, 19, 20, 72],
+    420: [17, 18, 19, 72],
+    430: [16, 17, 72],
+    440: [14, 15, 16, 72],
+    450: [13, 14, 72],
+    460: [11, 12, 13, 72],
+    470: [10, 11, 12, 72],
+    480: [10, 11],
+    490: [10]
+  },
+  630: {
+    50: [59, 60, 61, 62, 63],
+    60: [58, 59, 60, 61, 62, 63, 64],
+    70: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    80: [55, 56, 57, 58, 63, 64, 65],
+    90: [54, 55, 56, 64, 65, 66],
+    100: [52, 53, 54, 55, 65, 66],
+    110: [51, 52, 53, 66, 67],
+    120: [50, 51, 52, 66, 67],
+    130: [49, 50, 51, 66, 67],
+    140: [48, 49, 50, 67, 68],
+    150: [47, 48, 49, 67, 68],
+    160: [46, 47, 48, 67, 68],
+    170: [45, 46, 47, 68],
+    180: [44, 45, 68, 69],
+    190: [43, 44, 68, 69],
+    200: [41, 42, 43, 69],
+    210: [41, 42, 69],
+    220: [39, 40, 41, 69],
+    230: [38, 39, 40, 69],
+    240: [37, 38, 39, 69, 70],
+    250: [36, 37, 38, 70],
+    260: [35, 36, 37, 70],
+    270: [34, 35, 36, 70],
+    280: [33, 34, 35, 70],
+    290: [32, 33, 70],
+    300: [31, 32, 33, 70],
+    310: [29, 30, 31, 70, 71],
+    320: [28, 29, 30, 70, 71],
+    330: [27, 28, 29, 71],
+    340: [26, 27, 28, 71],
+    350: [25, 26, 27, 71],
+    360: [24, 25, 71],
+    370: [23, 24, 25, 71],
+    380: [22, 23, 24, 71],
+    390: [20, 21, 22, 71],
+    400: [19, 20, 21, 71],
+    410: [18, 19, 71],
+    420: [17, 18, 72],
+    430: [15, 16, 17, 18, 72],
+    440: [14, 15, 16, 72],
+    450: [13, 14, 15, 72],
+    460: [13, 14, 72],
+    470: [11, 12, 13, 72],
+    480: [10, 11, 12, 72],
+    490: [10]
+  },
+  640: {
+    60: [58, 59, 60, 61, 62, 63],
+    70: [56, 57, 58, 59, 60, 61, 62, 63, 64],
+    80: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    90: [54, 55, 56, 57, 63, 64, 65],
+    100: [52, 53, 54, 55, 64, 65, 66],
+    110: [51, 52, 53, 65, 66],
+    120: [50, 51, 52, 65, 66, 67],
+    130: [49, 50, 51, 66, 67],
+    140: [48, 49, 50, 66, 67],
+    150: [47, 48, 49, 67],
+    160: [46, 47, 48, 67, 68],
+    170: [45, 46, 47, 67, 68],
+    180: [44, 45, 68],
+    190: [42, 43, 44, 68],
+    200: [42, 43, 68, 69],
+    210: [40, 41, 42, 68, 69],
+    220: [39, 40, 41, 68, 69],
+    230: [38, 39, 40, 69],
+    240: [37, 38, 39, 69],
+    250: [36, 37, 38, 69],
+    260: [35, 36, 37, 69],
+    270: [34, 35, 36, 69],
+    280: [33, 34, 35, 69, 70],
+    290: [32, 33, 34, 70],
+    300: [31, 32, 70],
+    310: [30, 31, 70],
+    320: [28, 29, 30, 70],
+    330: [27, 28, 29, 70],
+    340: [26, 27, 28, 70],
+    350: [25, 26, 27, 70, 71],
+    360: [24, 25, 26, 70, 71],
+    370: [23, 24, 25, 71],
+    380: [21, 22, 23, 71],
+    390: [20, 21, 22, 71],
+    400: [19, 20, 21, 71],
+    410: [18, 19, 20, 71],
+    420: [17, 18, 19, 71],
+    430: [16, 17, 18, 71],
+    440: [14, 15, 16, 71],
+    450: [13, 14, 15, 71],
+    460: [12, 13, 14, 71],
+    470: [11, 12, 13, 72],
+    480: [11, 12],
+    490: [11]
+  },
+  650: {
+    60: [59, 60, 61],
+    70: [57, 58, 59, 60, 61, 62, 63],
+    80: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    90: [54, 55, 56, 57, 58, 61, 62, 63, 64, 65],
+    100: [52, 53, 54, 55, 63, 64, 65],
+    110: [51, 52, 53, 54, 64, 65],
+    120: [50, 51, 52, 65, 66],
+    130: [49, 50, 51, 65, 66],
+    140: [48, 49, 50, 66],
+    150: [47, 48, 49, 66, 67],
+    160: [46, 47, 48, 66, 67],
+    170: [45, 46, 67],
+    180: [44, 45, 67, 68],
+    190: [43, 44, 67, 68],
+    200: [41, 42, 43, 67, 68],
+    210: [40, 41, 42, 68],
+    220: [39, 40, 41, 68],
+    230: [38, 39, 40, 68],
+    240: [37, 38, 39, 68, 69],
+    250: [36, 37, 38, 68, 69],
+    260: [35, 36, 37, 69],
+    270: [34, 35, 36, 69],
+    280: [33, 34, 35, 69],
+    290: [32, 33, 69],
+    300: [31, 32, 33, 69, 70],
+    310: [29, 30, 31, 69, 70],
+    320: [28, 29, 30, 70],
+    330: [28, 29, 70],
+    340: [26, 27, 28, 70],
+    350: [25, 26, 27, 70],
+    360: [24, 25, 26, 70],
+    370: [23, 24, 25, 70],
+    380: [22, 23, 24, 70],
+    390: [21, 22, 23, 70],
+    400: [19, 20, 21, 70],
+    410: [18, 19, 20, 71],
+    420: [17, 18, 19, 71],
+    430: [16, 17, 18, 71],
+    440: [15, 16, 17, 71],
+    450: [14, 15, 16, 71],
+    460: [13, 14, 15, 71],
+    470: [11, 12, 13, 71],
+    480: [11, 12, 71],
+    490: [11]
+  },
+  660: {
+    70: [57, 58, 59, 60, 61, 62],
+    80: [55, 56, 57, 58, 59, 60, 61, 62, 63],
+    90: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    100: [53, 54, 55, 56, 62, 63, 64],
+    110: [51, 52, 53, 54, 63, 64, 65],
+    120: [50, 51, 52, 53, 64, 65],
+    130: [49, 50, 51, 64, 65, 66],
+    140: [48, 49, 50, 65, 66],
+    150: [47, 48, 49, 65, 66],
+    160: [46, 47, 48, 66, 67],
+    170: [45, 46, 47, 66, 67],
+    180: [44, 45, 66, 67],
+    190: [42, 43, 44, 67],
+    200: [41, 42, 43, 67],
+    210: [40, 41, 42, 67, 68],
+    220: [39, 40, 41, 67, 68],
+    230: [38, 39, 40, 68],
+    240: [37, 38, 39, 68],
+    250: [36, 37, 38, 68],
+    260: [35, 36, 37, 68],
+    270: [34, 35, 36, 68, 69],
+    280: [33, 34, 35, 69],
+    290: [32, 33, 34, 69],
+    300: [31, 32, 69],
+    310: [30, 31, 69],
+    320: [28, 29, 30, 69],
+    330: [27, 28, 29, 69],
+    340: [26, 27, 28, 69, 70],
+    350: [25, 26, 27, 69, 70],
+    360: [24, 25, 26, 70],
+    370: [23, 24, 25, 70],
+    380: [22, 23, 70],
+    390: [21, 22, 23, 70],
+    400: [20, 21, 22, 70],
+    410: [19, 20, 21, 70],
+    420: [17, 18, 19, 70],
+    430: [16, 17, 18, 70],
+    440: [15, 16, 17, 70],
+    450: [14, 15, 16, 71],
+    460: [13, 14, 15, 71],
+    470: [12, 13, 14, 71],
+    480: [11, 12, 13, 71],
+    490: [11, 12]
+  },
+  670: {
+    70: [58, 59, 60],
+    80: [56, 57, 58, 59, 60, 61, 62],
+    90: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    100: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    110: [52, 53, 54, 55, 62, 63, 64],
+    120: [50, 51, 52, 53, 63, 64],
+    130: [49, 50, 51, 64, 65],
+    140: [48, 49, 50, 64, 65],
+    150: [47, 48, 49, 65, 66],
+    160: [46, 47, 48, 65, 66],
+    170: [45, 46, 47, 65, 66],
+    180: [44, 45, 46, 66],
+    190: [43, 44, 66, 67],
+    200: [41, 42, 43, 66, 67],
+    210: [40, 41, 42, 67],
+    220: [39, 40, 41, 67],
+    230: [38, 39, 40, 67, 68],
+    240: [38, 39, 67, 68],
+    250: [36, 37, 38, 67, 68],
+    260: [35, 36, 37, 68],
+    270: [34, 35, 36, 68],
+    280: [33, 34, 35, 68],
+    290: [32, 33, 68],
+    300: [31, 32, 33, 68, 69],
+    310: [30, 31, 32, 68, 69],
+    320: [29, 30, 69],
+    330: [28, 29, 69],
+    340: [26, 27, 28, 69],
+    350: [25, 26, 27, 69],
+    360: [24, 25, 26, 69],
+    370: [23, 24, 25, 69],
+    380: [22, 23, 24, 70],
+    390: [21, 22, 23, 69, 70],
+    400: [20, 21, 70],
+    410: [19, 20, 70],
+    420: [18, 19, 70],
+    430: [17, 18, 70],
+    440: [16, 17, 70],
+    450: [14, 15, 16, 70],
+    460: [13, 14, 15, 70],
+    470: [12, 13, 70],
+    480: [11, 12, 70],
+    490: [11, 70]
+  },
+  680: {
+    80: [57, 58, 59, 60, 61],
+    90: [55, 56, 57, 58, 59, 60, 61, 62],
+    100: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    110: [52, 53, 54, 55, 60, 61, 62, 63],
+    120: [51, 52, 53, 62, 63, 64],
+    130: [49, 50, 51, 52, 63, 64],
+    140: [48, 49, 50, 63, 64, 65],
+    150: [47, 48, 49, 64, 65],
+    160: [46, 47, 48, 64, 65],
+    170: [45, 46, 47, 65, 66],
+    180: [44, 45, 46, 65, 66],
+    190: [43, 44, 45, 65, 66],
+    200: [41, 42, 43, 66],
+    210: [40, 41, 42, 66, 67],
+    220: [39, 40, 41, 66, 67],
+    230: [38, 39, 40, 67],
+    240: [37, 38, 39, 67],
+    250: [36, 37, 38, 67],
+    260: [35, 36, 37, 67, 68],
+    270: [34, 35, 36, 67, 68],
+    280: [33, 34, 35, 67, 68],
+    290: [32, 33, 34, 68],
+    300: [31, 32, 33, 68],
+    310: [30, 31, 68],
+    320: [29, 30, 31, 68],
+    330: [28, 29, 68, 69],
+    340: [27, 28, 68, 69],
+    350: [26, 27, 69],
+    360: [24, 25, 26, 69],
+    370: [23, 24, 25, 69],
+    380: [22, 23, 24, 69],
+    390: [21, 22, 23, 69],
+    400: [20, 21, 22, 69],
+    410: [19, 20, 21, 69],
+    420: [18, 19, 20, 70],
+    430: [17, 18, 69, 70],
+    440: [16, 17, 70],
+    450: [15, 16, 70],
+    460: [14, 15, 70],
+    470: [13, 14, 70],
+    480: [12, 13, 70],
+    490: [12, 70]
+  },
+  690: {
+    90: [55, 56, 57, 58, 59, 60, 61],
+    100: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    110: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    120: [51, 52, 53, 54, 60, 61, 62, 63],
+    130: [49, 50, 51, 52, 62, 63],
+    140: [48, 49, 50, 62, 63, 64],
+    150: [47, 48, 49, 63, 64],
+    160: [46, 47, 48, 64, 65],
+    170: [45, 46, 47, 64, 65],
+    180: [44, 45, 46, 65],
+    190: [43, 44, 45, 65, 66],
+    200: [42, 43, 65, 66],
+    210: [40, 41, 42, 65, 66],
+    220: [40, 41, 66],
+    230: [38, 39, 40, 66],
+    240: [38, 39, 66, 67],
+    250: [36, 37, 38, 66, 67],
+    260: [35, 36, 37, 67],
+    270: [34, 35, 36, 67],
+    280: [33, 34, 35, 67],
+    290: [32, 33, 34, 67],
+    300: [31, 32, 33, 67, 68],
+    310: [30, 31, 32, 68],
+    320: [29, 30, 68],
+    330: [28, 29, 30, 68],
+    340: [27, 28, 29, 68],
+    350: [25, 26, 27, 68],
+    360: [25, 26, 68],
+    370: [24, 25, 69],
+    380: [22, 23, 24, 68, 69],
+    390: [21, 22, 23, 69],
+    400: [20, 21, 22, 69],
+    410: [19, 20, 21, 69],
+    420: [18, 19, 20, 69],
+    430: [17, 18, 19, 69],
+    440: [16, 17, 18, 69],
+    450: [15, 16, 17, 69],
+    460: [14, 15, 69, 70],
+    470: [12, 13, 14, 69],
+    480: [12, 13, 70],
+    490: [12, 70]
+  },
+  700: {
+    90: [56, 57, 58, 59],
+    100: [54, 55, 56, 57, 58, 59, 60, 61],
+    110: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    120: [51, 52, 53, 54, 55, 59, 60, 61, 62],
+    130: [50, 51, 52, 53, 60, 61, 62, 63],
+    140: [48, 49, 50, 51, 62, 63],
+    150: [47, 48, 49, 50, 62, 63, 64],
+    160: [46, 47, 48, 63, 64],
+    170: [45, 46, 47, 63, 64],
+    180: [44, 45, 46, 64, 65],
+    190: [43, 44, 45, 64, 65],
+    200: [42, 43, 44, 64, 65],
+    210: [41, 42, 65, 66],
+    220: [39, 40, 41, 65, 66],
+    230: [39, 40, 65, 66],
+    240: [37, 38, 39, 66],
+    250: [36, 37, 38, 66],
+    260: [35, 36, 37, 66, 67],
+    270: [34, 35, 36, 66, 67],
+    280: [33, 34, 35, 67],
+    290: [32, 33, 34, 67],
+    300: [31, 32, 33, 67],
+    310: [30, 31, 32, 67],
+    320: [29, 30, 31, 67],
+    330: [28, 29, 30, 67, 68],
+    340: [27, 28, 68],
+    350: [26, 27, 28, 68],
+    360: [25, 26, 27, 68],
+    370: [24, 25, 68],
+    380: [23, 24, 68],
+    390: [22, 23, 68],
+    400: [21, 22, 68],
+    410: [19, 20, 21, 69],
+    420: [18, 19, 20, 68, 69],
+    430: [17, 18, 19, 69],
+    440: [16, 17, 18, 69],
+    450: [15, 16, 17, 69],
+    460: [14, 15, 16, 69],
+    470: [14, 15, 69],
+    480: [12, 13, 14, 69],
+    490: [12, 13]
+  },
+  710: {
+    100: [55, 56, 57, 58, 59],
+    110: [53, 54, 55, 56, 57, 58, 59, 60, 61],
+    120: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    130: [50, 51, 52, 53, 59, 60, 61, 62],
+    140: [48, 49, 50, 51, 52, 60, 61, 62],
+    150: [47, 48, 49, 50, 61, 62, 63],
+    160: [46, 47, 48, 49, 62, 63],
+    170: [45, 46, 47, 63, 64],
+    180: [44, 45, 46, 63, 64],
+    190: [43, 44, 45, 64],
+    200: [42, 43, 44, 64, 65],
+    210: [41, 42, 43, 64, 65],
+    220: [40, 41, 65],
+    230: [38, 39, 40, 65],
+    240: [38, 39, 65, 66],
+    250: [36, 37, 38, 65, 66],
+    260: [35, 36, 37, 66],
+    270: [35, 36, 66],
+    280: [33, 34, 35, 66],
+    290: [32, 33, 34, 66, 67],
+    300: [31, 32, 33, 66, 67],
+    310: [30, 31, 32, 66, 67],
+    320: [29, 30, 31, 67],
+    330: [28, 29, 30, 67],
+    340: [27, 28, 29, 67],
+    350: [26, 27, 28, 67],
+    360: [25, 26, 67, 68],
+    370: [24, 25, 26, 67, 68],
+    380: [23, 24, 25, 68],
+    390: [22, 23, 24, 68],
+    400: [21, 22, 68],
+    410: [20, 21, 68],
+    420: [19, 20, 68],
+    430: [18, 19, 68],
+    440: [16, 17, 18, 68],
+    450: [15, 16, 17, 68, 69],
+    460: [14, 15, 16],
+    470: [13, 14, 15, 69],
+    480: [13, 14, 69],
+    490: [13]
+  },
+  720: {
+    100: [56, 57],
+    110: [53, 54, 55, 56, 57, 58, 59],
+    120: [52, 53, 54, 55, 56, 57, 58, 59, 60],
+    130: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    140: [49, 50, 51, 52, 59, 60, 61, 62],
+    150: [48, 49, 50, 51, 60, 61, 62],
+    160: [46, 47, 48, 49, 61, 62, 63],
+    170: [45, 46, 47, 48, 62, 63],
+    180: [44, 45, 46, 62, 63],
+    190: [43, 44, 45, 63, 64],
+    200: [42, 43, 44, 63, 64],
+    210: [41, 42, 43, 64],
+    220: [40, 41, 42, 64, 65],
+    230: [39, 40, 41, 64, 65],
+    240: [38, 39, 65],
+    250: [37, 38, 65],
+    260: [36, 37, 65, 66],
+    270: [34, 35, 36, 65, 66],
+    280: [34, 35, 65, 66],
+    290: [32, 33, 34, 66],
+    300: [31, 32, 33, 66],
+    310: [30, 31, 32, 66],
+    320: [29, 30, 31, 66, 67],
+    330: [28, 29, 30, 66, 67],
+    340: [27, 28, 29, 67],
+    350: [26, 27, 28, 67],
+    360: [25, 26, 27, 67],
+    370: [24, 25, 26, 67],
+    380: [23, 24, 67],
+    390: [22, 23, 24, 67],
+    400: [21, 22, 23, 68],
+    410: [20, 21, 22, 67, 68],
+    420: [19, 20, 68],
+    430: [18, 19, 68],
+    440: [17, 18, 68],
+    450: [16, 17, 68],
+    460: [15, 16, 68],
+    470: [14, 15, 68],
+    480: [13, 14, 68],
+    490: [13, 68]
+  },
+  730: {
+    110: [55, 56, 57, 58],
+    120: [52, 53, 54, 55, 56, 57, 58, 59],
+    130: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    140: [49, 50, 51, 52, 53, 54, 57, 58, 59, 60, 61],
+    150: [48, 49, 50, 51, 59, 60, 61],
+    160: [47, 48, 49, 60, 61, 62],
+    170: [45, 46, 47, 48, 61, 62],
+    180: [44, 45, 46, 47, 61, 62, 63],
+    190: [43, 44, 45, 62, 63],
+    200: [42, 43, 44, 63],
+    210: [41, 42, 43, 63, 64],
+    220: [40, 41, 42, 63, 64],
+    230: [39, 40, 41, 64],
+    240: [38, 39, 40, 64, 65],
+    250: [37, 38, 39, 64, 65],
+    260: [36, 37, 64, 65],
+    270: [35, 36, 65],
+    280: [33, 34, 35, 65],
+    290: [33, 34, 65],
+    300: [32, 33, 65, 66],
+    310: [30, 31, 32, 66],
+    320: [29, 30, 31, 66],
+    330: [29, 30, 66],
+    340: [27, 28, 29, 66],
+    350: [26, 27, 28, 66, 67],
+    360: [25, 26, 27, 66, 67],
+    370: [25, 26, 67],
+    380: [23, 24, 25, 67],
+    390: [22, 23, 24, 67],
+    400: [21, 22, 67],
+    410: [20, 21, 22, 67],
+    420: [19, 20, 21, 67],
+    430: [18, 19, 20, 67],
+    440: [17, 18, 19, 68],
+    450: [16, 17, 18, 68],
+    460: [15, 16, 68],
+    470: [14, 15, 68],
+    480: [14, 15, 68],
+    490: [14, 68]
+  },
+  740: {
+    120: [53, 54, 55, 56, 57, 58],
+    130: [51, 52, 53, 54, 55, 56, 57, 58, 59],
+    140: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    150: [48, 49, 50, 51, 52, 57, 58, 59, 60, 61],
+    160: [47, 48, 49, 50, 59, 60, 61],
+    170: [46, 47, 48, 60, 61, 62],
+    180: [44, 45, 46, 47, 61, 62],
+    190: [43, 44, 45, 46, 61, 62, 63],
+    200: [42, 43, 44, 62, 63],
+    210: [41, 42, 43, 62, 63],
+    220: [40, 41, 42, 63, 64],
+    230: [39, 40, 41, 63, 64],
+    240: [38, 39, 40, 63, 64],
+    250: [37, 38, 39, 64],
+    260: [36, 37, 38, 64],
+    270: [35, 36, 64, 65],
+    280: [34, 35, 36, 64, 65],
+    290: [33, 34, 65],
+    300: [32, 33, 65],
+    310: [31, 32, 65],
+    320: [30, 31, 65, 66],
+    330: [28, 29, 30, 65, 66],
+    340: [28, 29, 66],
+    350: [27, 28, 66],
+    360: [25, 26, 27, 66],
+    370: [24, 25, 26, 66],
+    380: [23, 24, 25, 66],
+    390: [23, 24, 66, 67],
+    400: [21, 22, 23, 66, 67],
+    410: [20, 21, 22, 67],
+    420: [19, 20, 21, 67],
+    430: [18, 19, 20, 67],
+    440: [17, 18, 19, 67],
+    450: [17, 18, 67],
+    460: [16, 17, 67],
+    470: [14, 15, 16, 67],
+    480: [14, 15, 67, 68],
+    490: [68]
+  },
+  750: {
+    120: [55],
+    130: [52, 53, 54, 55, 56, 57, 58],
+    140: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    150: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    160: [47, 48, 49, 50, 51, 58, 59, 60],
+    170: [46, 47, 48, 49, 59, 60, 61],
+    180: [45, 46, 47, 60, 61],
+    190: [43, 44, 45, 46, 60, 61, 62],
+    200: [43, 44, 45, 61, 62],
+    210: [41, 42, 43, 44, 61, 62, 63],
+    220: [40, 41, 42, 62, 63],
+    230: [39, 40, 41, 62, 63],
+    240: [38, 39, 40, 63],
+    250: [37, 38, 39, 63, 64],
+    260: [36, 37, 38, 63, 64],
+    270: [35, 36, 37, 63, 64],
+    280: [34, 35, 36, 64],
+    290: [33, 34, 35, 64, 65],
+    300: [32, 33, 34, 64, 65],
+    310: [31, 32, 64, 65],
+    320: [30, 31, 32, 65],
+    330: [29, 30, 65],
+    340: [28, 29, 65],
+    350: [27, 28, 29, 65, 66],
+    360: [26, 27, 65, 66],
+    370: [25, 26, 66],
+    380: [24, 25, 66],
+    390: [23, 24, 66],
+    400: [22, 23, 66],
+    410: [21, 22, 66],
+    420: [20, 21, 66],
+    430: [19, 20, 66, 67],
+    440: [17, 18, 19, 67],
+    450: [16, 17, 18, 67],
+    460: [16, 17, 67],
+    470: [15, 16, 67],
+    480: [14, 15, 67],
+    490: [14]
+  },
+  760: {
+    130: [54, 55, 56],
+    140: [51, 52, 53, 54, 55, 56, 57, 58],
+    150: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    160: [48, 49, 50, 51, 52, 53, 54, 56, 57, 58, 59],
+    170: [46, 47, 48, 49, 50, 57, 58, 59, 60],
+    180: [45, 46, 47, 48, 59, 60, 61],
+    190: [44, 45, 46, 59, 60, 61],
+    200: [43, 44, 45, 60, 61, 62],
+    210: [42, 43, 44, 61, 62],
+    220: [40, 41, 42, 43, 61, 62],
+    230: [39, 40, 41, 62, 63],
+    240: [38, 39, 40, 62, 63],
+    250: [37, 38, 39, 62, 63],
+    260: [36, 37, 38, 63],
+    270: [35, 36, 37, 63, 64],
+    280: [34, 35, 36, 63, 64],
+    290: [33, 34, 35, 63, 64],
+    300: [32, 33, 34, 64],
+    310: [31, 32, 33, 64],
+    320: [30, 31, 64],
+    330: [29, 30, 31, 64, 65],
+    340: [28, 29, 30, 65],
+    350: [27, 28, 65],
+    360: [26, 27, 28, 65],
+    370: [25, 26, 27, 65],
+    380: [24, 25, 26, 65, 66],
+    390: [23, 24, 65, 66],
+    400: [22, 23, 24, 66],
+    410: [21, 22, 23, 66],
+    420: [20, 21, 22, 66],
+    430: [19, 20, 66],
+    440: [18, 19, 66],
+    450: [17, 18, 19, 66],
+    460: [16, 17, 18, 66],
+    470: [15, 16, 17, 66, 67],
+    480: [14, 15, 16, 67],
+    490: [14]
+  },
+  770: {
+    140: [52, 53, 54, 55, 56],
+    150: [50, 51, 52, 53, 54, 55, 56, 57, 58],
+    160: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    170: [47, 48, 49, 50, 51, 56, 57, 58, 59],
+    180: [45, 46, 47, 48, 49, 57, 58, 59, 60],
+    190: [44, 45, 46, 47, 58, 59, 60],
+    200: [43, 44, 45, 46, 59, 60, 61],
+    210: [42, 43, 44, 60, 61],
+    220: [41, 42, 43, 60, 61, 62],
+    230: [40, 41, 42, 61, 62],
+    240: [39, 40, 61, 62],
+    250: [37, 38, 39, 62, 63],
+    260: [37, 38, 62, 63],
+    270: [35, 36, 37, 62, 63],
+    280: [35, 36, 63],
+    290: [33, 34, 35, 63],
+    300: [32, 33, 34, 63, 64],
+    310: [31, 32, 33, 63, 64],
+    320: [30, 31, 32, 64],
+    330: [29, 30, 31, 64],
+    340: [28, 29, 30, 64],
+    350: [27, 28, 29, 64, 65],
+    360: [26, 27, 28, 64, 65],
+    370: [25, 26, 27, 65],
+    380: [24, 25, 26, 65],
+    390: [23, 24, 25, 65],
+    400: [22, 23, 24, 65],
+    410: [21, 22, 23, 65],
+    420: [21, 22, 65, 66],
+    430: [19, 20, 21, 65, 66],
+    440: [18, 19, 20, 66],
+    450: [17, 18, 19, 66],
+    460: [16, 17, 18, 66],
+    470: [15, 16, 17, 66],
+    480: [15, 16, 66],
+    490: [15, 66]
+  },
+  780: {
+    150: [51, 52, 53, 54, 55, 56],
+    160: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    170: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    180: [46, 47, 48, 49, 50, 56, 57, 58, 59],
+    190: [45, 46, 47, 48, 57, 58, 59, 60],
+    200: [43, 44, 45, 46, 58, 59, 60],
+    210: [42, 43, 44, 45, 59, 60, 61],
+    220: [41, 42, 43, 60, 61],
+    230: [40, 41, 42, 60, 61],
+    240: [39, 40, 41, 61, 62],
+    250: [38, 39, 40, 61, 62],
+    260: [37, 38, 39, 61, 62],
+    270: [36, 37, 62],
+    280: [34, 35, 36, 62, 63],
+    290: [34, 35, 62, 63],
+    300: [33, 34, 62, 63],
+    310: [31, 32, 33, 63],
+    320: [31, 32, 63, 64],
+    330: [29, 30, 31, 63, 64],
+    340: [28, 29, 30, 63, 64],
+    350: [28, 29, 64],
+    360: [27, 28, 64],
+    370: [25, 26, 27, 64],
+    380: [24, 25, 26, 64, 65],
+    390: [24, 25, 64, 65],
+    400: [23, 24, 65],
+    410: [21, 22, 23, 65],
+    420: [20, 21, 22, 65],
+    430: [20, 21, 65],
+    440: [19, 20, 65],
+    450: [18, 19, 65],
+    460: [17, 18, 65, 66],
+    470: [15, 16, 17, 66],
+    480: [15, 16, 66],
+    490: [15, 66]
+  },
+  790: {
+    150: [53, 54],
+    160: [50, 51, 52, 53, 54, 55, 56],
+    170: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    180: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    190: [45, 46, 47, 48, 49, 56, 57, 58, 59],
+    200: [44, 45, 46, 47, 57, 58, 59],
+    210: [42, 43, 44, 45, 58, 59, 60],
+    220: [41, 42, 43, 44, 59, 60],
+    230: [40, 41, 42, 43, 59, 60],
+    240: [39, 40, 41, 60, 61],
+    250: [38, 39, 40, 60, 61],
+    260: [37, 38, 39, 61, 62],
+    270: [36, 37, 38, 61, 62],
+    280: [35, 36, 37, 61, 62],
+    290: [34, 35, 36, 62],
+    300: [33, 34, 62, 63],
+    310: [32, 33, 34, 62, 63],
+    320: [31, 32, 62, 63],
+    330: [30, 31, 32, 63],
+    340: [29, 30, 63],
+    350: [28, 29, 63],
+    360: [27, 28, 63, 64],
+    370: [26, 27, 64],
+    380: [25, 26, 64],
+    390: [24, 25, 64],
+    400: [23, 24, 25, 64],
+    410: [22, 23, 64, 65],
+    420: [21, 22, 64, 65],
+    430: [20, 21, 22, 65],
+    440: [19, 20, 21, 65],
+    450: [18, 19, 20, 65],
+    460: [17, 18, 65],
+    470: [16, 17, 65],
+    480: [16, 17, 65],
+    490: [16]
+  },
+  800: {
+    160: [51, 52, 53, 54],
+    170: [49, 50, 51, 52, 53, 54, 55, 56],
+    180: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    190: [46, 47, 48, 49, 50, 52, 53, 54, 55, 56, 57, 58],
+    200: [44, 45, 46, 47, 48, 56, 57, 58, 59],
+    210: [43, 44, 45, 46, 57, 58, 59],
+    220: [42, 43, 44, 58, 59, 60],
+    230: [40, 41, 42, 43, 58, 59, 60],
+    240: [39, 40, 41, 42, 59, 60],
+    250: [38, 39, 40, 60, 61],
+    260: [37, 38, 39, 60, 61],
+    270: [36, 37, 38, 60, 61],
+    280: [35, 36, 37, 61],
+    290: [34, 35, 36, 61, 62],
+    300: [33, 34, 35, 61, 62],
+    310: [32, 33, 34, 62],
+    320: [31, 32, 33, 62],
+    330: [30, 31, 32, 62, 63],
+    340: [29, 30, 31, 62, 63],
+    350: [28, 29, 30, 63],
+    360: [27, 28, 63],
+    370: [26, 27, 28, 63],
+    380: [25, 26, 27, 63, 64],
+    390: [24, 25, 26, 63, 64],
+    400: [23, 24, 25, 64],
+    410: [22, 23, 24, 64],
+    420: [21, 22, 23, 64],
+    430: [20, 21, 22, 64],
+    440: [19, 20, 21, 64],
+    450: [19, 20, 64, 65],
+    460: [17, 18, 19, 65],
+    470: [16, 17, 18, 65],
+    480: [16, 17, 65],
+    490: [16]
+  },
+  810: {
+    170: [50, 51, 52, 53, 54],
+    180: [48, 49, 50, 51, 52, 53, 54, 55, 56],
+    190: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    200: [45, 46, 47, 48, 49, 50, 53, 54, 55, 56, 57, 58],
+    210: [43, 44, 45, 46, 47, 56, 57, 58],
+    220: [42, 43, 44, 45, 57, 58, 59],
+    230: [41, 42, 43, 44, 57, 58, 59],
+    240: [40, 41, 42, 58, 59, 60],
+    250: [39, 40, 41, 59, 60],
+    260: [37, 38, 39, 40, 59, 60],
+    270: [37, 38, 60, 61],
+    280: [35, 36, 37, 60, 61],
+    290: [34, 35, 36, 60, 61],
+    300: [33, 34, 35, 61],
+    310: [32, 33, 34, 61, 62],
+    320: [32, 33, 61, 62],
+    330: [30, 31, 32, 61, 62],
+    340: [29, 30, 31, 62],
+    350: [28, 29, 30, 62, 63],
+    360: [27, 28, 29, 62, 63],
+    370: [26, 27, 28, 62, 63],
+    380: [26, 27, 63],
+    390: [24, 25, 26, 63],
+    400: [23, 24, 25, 63],
+    410: [22, 23, 24, 63],
+    420: [22, 23, 63, 64],
+    430: [21, 22, 64],
+    440: [19, 20, 21, 64],
+    450: [18, 19, 20, 64],
+    460: [18, 19, 64],
+    470: [17, 18, 64],
+    480: [16, 17, 64],
+    490: [16, 64],
+    500: [16]
+  },
+  820: {
+    180: [49, 50, 51, 52, 53, 54],
+    190: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    200: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    210: [44, 45, 46, 47, 48, 54, 55, 56, 57],
+    220: [43, 44, 45, 46, 56, 57, 58],
+    230: [41, 42, 43, 44, 56, 57, 58],
+    240: [40, 41, 42, 43, 57, 58, 59],
+    250: [39, 40, 41, 58, 59],
+    260: [38, 39, 40, 58, 59, 60],
+    270: [37, 38, 39, 59, 60],
+    280: [36, 37, 38, 59, 60],
+    290: [35, 36, 37, 60, 61],
+    300: [34, 35, 60, 61],
+    310: [33, 34, 35, 60, 61],
+    320: [31, 32, 33, 61],
+    330: [31, 32, 61, 62],
+    340: [30, 31, 61, 62],
+    350: [29, 30, 61, 62],
+    360: [28, 29, 62],
+    370: [27, 28, 62],
+    380: [26, 27, 62],
+    390: [25, 26, 62, 63],
+    400: [24, 25, 63],
+    410: [23, 24, 63],
+    420: [22, 23, 63],
+    430: [21, 22, 23, 63],
+    440: [20, 21, 63, 64],
+    450: [19, 20, 63],
+    460: [18, 19, 20, 63, 64],
+    470: [17, 18, 19, 64],
+    480: [16, 17, 18, 64],
+    490: [16, 64],
+    500: [16]
+  },
+  830: {
+    180: [51, 52],
+    190: [48, 49, 50, 51, 52, 53, 54],
+    200: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    210: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    220: [43, 44, 45, 46, 47, 54, 55, 56, 57],
+    230: [42, 43, 44, 45, 55, 56, 57, 58],
+    240: [40, 41, 42, 43, 56, 57, 58],
+    250: [40, 41, 42, 57, 58, 59],
+    260: [38, 39, 40, 41, 58, 59],
+    270: [37, 38, 39, 58, 59],
+    280: [36, 37, 38, 59, 60],
+    290: [35, 36, 37, 59, 60],
+    300: [34, 35, 36, 59, 60],
+    310: [33, 34, 35, 60],
+    320: [32, 33, 34, 60, 61],
+    330: [31, 32, 33, 60, 61],
+    340: [30, 31, 32, 61],
+    350: [29, 30, 31, 61],
+    360: [28, 29, 61, 62],
+    370: [27, 28, 29, 61, 62],
+    380: [26, 27, 28, 62],
+    390: [25, 26, 62],
+    400: [24, 25, 26, 62],
+    410: [23, 24, 25, 62, 63],
+    420: [22, 23, 63],
+    430: [22, 23, 62, 63],
+    440: [20, 21, 22, 63],
+    450: [19, 20, 21, 63],
+    460: [18, 19, 20, 63],
+    470: [18, 19, 63],
+    480: [17, 18, 63, 64],
+    490: [17, 64]
+  },
+  840: {
+    190: [50, 51, 52],
+    200: [47, 48, 49, 50, 51, 52, 53, 54],
+    210: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    220: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    230: [42, 43, 44, 45, 46, 53, 54, 55, 56, 57],
+    240: [41, 42, 43, 44, 55, 56, 57],
+    250: [40, 41, 42, 56, 57, 58],
+    260: [39, 40, 41, 57, 58],
+    270: [38, 39, 40, 57, 58],
+    280: [36, 37, 38, 58, 59],
+    290: [35, 36, 37, 38, 58, 59],
+    300: [34, 35, 36, 59, 60],
+    310: [33, 34, 35, 59, 60],
+    320: [32, 33, 34, 59, 60],
+    330: [31, 32, 33, 60],
+    340: [30, 31, 32, 60, 61],
+    350: [29, 30, 31, 60, 61],
+    360: [28, 29, 30, 60, 61],
+    370: [28, 29, 61],
+    380: [26, 27, 28, 61, 62],
+    390: [25, 26, 27, 61, 62],
+    400: [24, 25, 26, 61, 62],
+    410: [24, 25, 62],
+    420: [22, 23, 24, 62],
+    430: [21, 22, 23, 62],
+    440: [21, 22, 62],
+    450: [20, 21, 62, 63],
+    460: [19, 20, 63],
+    470: [18, 19, 63],
+    480: [17, 18, 19, 63],
+    490: [17]
+  },
+  850: {
+    200: [48, 49, 50, 51, 52],
+    210: [46, 47, 48, 49, 50, 51, 52, 53, 54],
+    220: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    230: [43, 44, 45, 46, 47, 48, 49, 51, 52, 53, 54, 55, 56],
+    240: [42, 43, 44, 45, 46, 53, 54, 55, 56],
+    250: [40, 41, 42, 43, 44, 55, 56, 57],
+    260: [39, 40, 41, 42, 56, 57],
+    270: [38, 39, 40, 56, 57, 58],
+    280: [37, 38, 39, 57, 58],
+    290: [36, 37, 38, 58, 59],
+    300: [35, 36, 37, 58, 59],
+    310: [34, 35, 36, 58, 59],
+    320: [33, 34, 35, 59, 60],
+    330: [32, 33, 59, 60],
+    340: [31, 32, 33, 59, 60],
+    350: [30, 31, 60],
+    360: [29, 30, 60, 61],
+    370: [28, 29, 60, 61],
+    380: [27, 28, 60, 61],
+    390: [26, 27, 61],
+    400: [25, 26, 61],
+    410: [24, 25, 61],
+    420: [23, 24, 25, 61, 62],
+    430: [22, 23, 62],
+    440: [21, 22, 23, 62],
+    450: [20, 21, 22, 62],
+    460: [19, 20, 21, 62],
+    470: [18, 19, 62, 63],
+    480: [18, 19, 63],
+    490: [18]
+  },
+  860: {
+    210: [48, 49, 50, 51, 52],
+    220: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    230: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    240: [42, 43, 44, 45, 46, 47, 48, 49, 51, 52, 53, 54, 55, 56],
+    250: [41, 42, 43, 44, 45, 53, 54, 55, 56],
+    260: [40, 41, 42, 43, 55, 56, 57],
+    270: [39, 40, 41, 55, 56, 57],
+    280: [37, 38, 39, 40, 56, 57],
+    290: [36, 37, 38, 39, 57, 58],
+    300: [35, 36, 37, 57, 58],
+    310: [34, 35, 36, 58, 59],
+    320: [33, 34, 35, 58, 59],
+    330: [32, 33, 34, 58, 59],
+    340: [31, 32, 33, 59],
+    350: [30, 31, 32, 59, 60],
+    360: [29, 30, 59, 60],
+    370: [28, 29, 30, 60],
+    380: [27, 28, 29, 60],
+    390: [26, 27, 28, 60, 61],
+    400: [25, 26, 27, 60, 61],
+    410: [24, 25, 26, 61],
+    420: [23, 24, 25, 61],
+    430: [22, 23, 24, 61],
+    440: [21, 22, 23, 61, 62],
+    450: [21, 22, 61, 62],
+    460: [20, 21, 62],
+    470: [19, 20, 62],
+    480: [18, 19, 62],
+    490: [18]
+  },
+  870: {
+    220: [47, 48, 49, 50, 51, 52],
+    230: [45, 46, 47, 48, 49, 50, 51, 52, 53],
+    240: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    250: [41, 42, 43, 44, 45, 46, 51, 52, 53, 54, 55],
+    260: [41, 42, 43, 44, 53, 54, 55, 56],
+    270: [39, 40, 41, 42, 54, 55, 56],
+    280: [38, 39, 40, 41, 55, 56, 57],
+    290: [37, 38, 39, 56, 57],
+    300: [36, 37, 38, 56, 57, 58],
+    310: [34, 35, 36, 37, 57, 58],
+    320: [34, 35, 57, 58],
+    330: [32, 33, 34, 35, 58, 59],
+    340: [32, 33, 58, 59],
+    350: [30, 31, 32, 58, 59],
+    360: [29, 30, 31, 59],
+    370: [29, 30, 59, 60],
+    380: [27, 28, 29, 59, 60],
+    390: [26, 27, 28, 59, 60],
+    400: [26, 27, 60],
+    410: [24, 25, 26, 60, 61],
+    420: [24, 25, 60, 61],
+    430: [23, 24, 60, 61],
+    440: [22, 23, 61],
+    450: [21, 22, 61],
+    460: [20, 21, 22, 61],
+    470: [19, 20, 21, 61, 62],
+    480: [19, 61],
+    490: [19]
+  },
+  880: {
+    230: [46, 47, 48, 49, 50, 51, 52],
+    240: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    250: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    260: [41, 42, 43, 44, 45, 46, 51, 52, 53, 54, 55],
+    270: [40, 41, 42, 43, 53, 54, 55],
+    280: [38, 39, 40, 41, 54, 55, 56],
+    290: [37, 38, 39, 40, 55, 56],
+    300: [36, 37, 38, 39, 55, 56, 57],
+    310: [35, 36, 37, 56, 57],
+    320: [34, 35, 36, 57, 58],
+    330: [33, 34, 35, 57, 58],
+    340: [32, 33, 34, 57, 58],
+    350: [31, 32, 33, 58, 59],
+    360: [30, 31, 32, 58, 59],
+    370: [29, 30, 31, 58, 59],
+    380: [28, 29, 30, 59],
+    390: [27, 28, 29, 59, 60],
+    400: [26, 27, 59, 60],
+    410: [25, 26, 27, 59, 60],
+    420: [24, 25, 26, 60],
+    430: [23, 24, 25, 60],
+    440: [22, 23, 24, 60, 61],
+    450: [21, 22, 23, 60, 61],
+    460: [21, 22, 60, 61],
+    470: [20, 21, 61],
+    480: [19, 20, 61],
+    490: [19, 61]
+  },
+  890: {
+    230: [48, 49],
+    240: [45, 46, 47, 48, 49, 50, 51, 52],
+    250: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    260: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    270: [40, 41, 42, 43, 44, 45, 51, 52, 53, 54],
+    280: [39, 40, 41, 42, 43, 52, 53, 54, 55],
+    290: [38, 39, 40, 41, 53, 54, 55, 56],
+    300: [36, 37, 38, 39, 55, 56],
+    310: [36, 37, 38, 55, 56],
+    320: [34, 35, 36, 56, 57],
+    330: [33, 34, 35, 36, 56, 57],
+    340: [32, 33, 34, 56, 57, 58],
+    350: [31, 32, 33, 57, 58],
+    360: [30, 31, 32, 57, 58],
+    370: [29, 30, 31, 58],
+    380: [29, 30, 58, 59],
+    390: [27, 28, 29, 58, 59],
+    400: [26, 27, 28, 59],
+    410: [26, 27, 59],
+    420: [24, 25, 26, 59, 60],
+    430: [23, 24, 25, 59, 60],
+    440: [23, 24, 60],
+    450: [22, 23, 60],
+    460: [21, 22, 60],
+    470: [20, 21, 22, 60, 61],
+    480: [19, 20, 21, 60, 61],
+    490: [19, 61],
+    500: [19]
+  },
+  900: {
+    240: [48, 49],
+    250: [45, 46, 47, 48, 49, 50, 51, 52],
+    260: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    270: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    280: [40, 41, 42, 43, 44, 50, 51, 52, 53, 54],
+    290: [38, 39, 40, 41, 42, 52, 53, 54, 55],
+    300: [37, 38, 39, 40, 53, 54, 55],
+    310: [36, 37, 38, 54, 55, 56],
+    320: [35, 36, 37, 55, 56],
+    330: [34, 35, 36, 55, 56, 57],
+    340: [33, 34, 35, 56, 57],
+    350: [32, 33, 34, 56, 57],
+    360: [31, 32, 33, 56, 57, 58],
+    370: [30, 31, 32, 57, 58],
+    380: [29, 30, 31, 57, 58],
+    390: [28, 29, 58],
+    400: [27, 28, 29, 58, 59],
+    410: [26, 27, 58, 59],
+    420: [25, 26, 27, 58, 59],
+    430: [24, 25, 26, 59],
+    440: [23, 24, 59],
+    450: [22, 23, 24, 59, 60],
+    460: [21, 22, 23, 60],
+    470: [21, 60],
+    480: [19, 20, 21, 60],
+    490: [19, 20]
+  },
+  910: {
+    250: [46, 47, 48, 49],
+    260: [44, 45, 46, 47, 48, 49, 50, 51],
+    270: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    280: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    290: [39, 40, 41, 42, 43, 50, 51, 52, 53, 54],
+    300: [38, 39, 40, 41, 52, 53, 54],
+    310: [37, 38, 39, 40, 53, 54, 55],
+    320: [35, 36, 37, 38, 54, 55],
+    330: [34, 35, 36, 37, 55, 56],
+    340: [33, 34, 35, 36, 55, 56],
+    350: [32, 33, 34, 55, 56, 57],
+    360: [31, 32, 33, 56, 57],
+    370: [30, 31, 32, 56, 57],
+    380: [29, 30, 31, 56, 57, 58],
+    390: [28, 29, 30, 57, 58],
+    400: [27, 28, 29, 57, 58],
+    410: [26, 27, 28, 58],
+    420: [26, 27, 58, 59],
+    430: [24, 25, 26, 58, 59],
+    440: [23, 24, 25, 58, 59],
+    450: [23, 24, 59],
+    460: [22, 23, 59],
+    470: [21, 22, 59, 60],
+    480: [20, 21, 22, 59],
+    490: [20, 21, 59]
+  },
+  920: {
+    260: [45, 46, 47, 48],
+    270: [43, 44, 45, 46, 47, 48, 49, 50],
+    280: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    290: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    300: [38, 39, 40, 41, 42, 43, 51, 52, 53],
+    310: [37, 38, 39, 40, 41, 51, 52, 53, 54],
+    320: [36, 37, 38, 39, 52, 53, 54],
+    330: [35, 36, 37, 38, 53, 54, 55],
+    340: [34, 35, 36, 54, 55],
+    350: [33, 34, 35, 55, 56],
+    360: [32, 33, 34, 55, 56],
+    370: [31, 32, 33, 55, 56, 57],
+    380: [30, 31, 56, 57],
+    390: [29, 30, 31, 56, 57],
+    400: [28, 29, 56, 57],
+    410: [27, 28, 29, 57, 58],
+    420: [26, 27, 57, 58],
+    430: [25, 26, 27, 58],
+    440: [24, 25, 26, 58],
+    450: [23, 24, 58],
+    460: [22, 23, 24, 58, 59],
+    470: [21, 22, 23, 58, 59],
+    480: [21, 59],
+    490: [21, 59],
+    500: [59]
+  },
+  930: {
+    270: [45, 46, 47, 48],
+    280: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    290: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    300: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    310: [38, 39, 40, 41, 42, 49, 50, 51, 52, 53],
+    320: [37, 38, 39, 40, 51, 52, 53, 54],
+    330: [35, 36, 37, 38, 52, 53, 54],
+    340: [34, 35, 36, 37, 53, 54, 55],
+    350: [33, 34, 35, 36, 54, 55],
+    360: [32, 33, 34, 54, 55],
+    370: [31, 32, 33, 55, 56],
+    380: [30, 31, 32, 55, 56],
+    390: [29, 30, 31, 55, 56, 57],
+    400: [28, 29, 30, 56, 57],
+    410: [27, 28, 29, 56, 57],
+    420: [26, 27, 28, 57],
+    430: [26, 27, 57, 58],
+    440: [24, 25, 26, 57, 58],
+    450: [23, 24, 25, 57, 58],
+    460: [23, 24, 58],
+    470: [22, 23, 58],
+    480: [21, 22, 58, 59],
+    490: [21, 22, 58, 59]
+  },
+  940: {
+    280: [46, 47, 48, 49],
+    290: [42, 43, 44, 45, 46, 47, 48, 49, 50],
+    300: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    310: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    320: [37, 38, 39, 40, 41, 49, 50, 51, 52, 53],
+    330: [36, 37, 38, 39, 40, 51, 52, 53],
+    340: [35, 36, 37, 38, 52, 53, 54],
+    350: [34, 35, 36, 52, 53, 54],
+    360: [33, 34, 35, 53, 54, 55],
+    370: [32, 33, 34, 54, 55],
+    380: [31, 32, 33, 54, 55],
+    390: [30, 31, 55, 56],
+    400: [29, 30, 31, 55, 56],
+    410: [28, 29, 55, 56],
+    420: [27, 28, 29, 56],
+    430: [26, 27, 28, 56, 57],
+    440: [25, 26, 27, 57],
+    450: [24, 25, 26, 57],
+    460: [23, 24, 57, 58],
+    470: [22, 23, 24, 57, 58],
+    480: [22, 23, 57, 58],
+    490: [22, 58]
+  },
+  950: {
+    290: [44, 45, 46, 47, 48],
+    300: [42, 43, 44, 45, 46, 47, 48, 49],
+    310: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    320: [38, 39, 40, 41, 42, 43, 44, 46, 47, 48, 49, 50, 51, 52],
+    330: [37, 38, 39, 40, 41, 49, 50, 51, 52],
+    340: [36, 37, 38, 39, 50, 51, 52, 53],
+    350: [35, 36, 37, 38, 51, 52, 53],
+    360: [33, 34, 35, 36, 52, 53, 54],
+    370: [33, 34, 35, 53, 54],
+    380: [31, 32, 33, 34, 53, 54, 55],
+    390: [31, 32, 54, 55],
+    400: [29, 30, 31, 54, 55],
+    410: [28, 29, 30, 55, 56],
+    420: [27, 28, 29, 55, 56],
+    430: [26, 27, 28, 55, 56],
+    440: [26, 27, 56],
+    450: [24, 25, 26, 56, 57],
+    460: [24, 25, 56, 57],
+    470: [23, 24, 57],
+    480: [23, 57, 58]
+  },
+  960: {
+    300: [43, 44, 45, 46, 47],
+    310: [41, 42, 43, 44, 45, 46, 47, 48, 49],
+    320: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    330: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    340: [37, 38, 39, 40, 41, 48, 49, 50, 51, 52],
+    350: [35, 36, 37, 38, 50, 51, 52],
+    360: [34, 35, 36, 37, 51, 52, 53],
+    370: [33, 34, 35, 36, 52, 53],
+    380: [32, 33, 34, 52, 53, 54],
+    390: [31, 32, 33, 53, 54],
+    400: [30, 31, 32, 53, 54, 55],
+    410: [29, 30, 31, 54, 55],
+    420: [28, 29, 30, 54, 55],
+    430: [27, 28, 29, 55, 56],
+    440: [26, 27, 28, 55, 56],
+    450: [25, 26, 27, 55, 56],
+    460: [24, 25, 26, 56],
+    470: [23, 24, 25, 56, 57],
+    480: [23, 24, 56, 57],
+    490: [23, 56]
+  },
+  970: {
+    310: [43, 44, 45, 46, 47],
+    320: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    330: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    340: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    350: [36, 37, 38, 39, 40, 41, 48, 49, 50, 51, 52],
+    360: [35, 36, 37, 38, 50, 51, 52],
+    370: [33, 34, 35, 36, 51, 52, 53],
+    380: [33, 34, 35, 51, 52, 53],
+    390: [31, 32, 33, 34, 52, 53, 54],
+    400: [31, 32, 33, 52, 53, 54],
+    410: [29, 30, 31, 53, 54],
+    420: [28, 29, 30, 31, 53, 54, 55],
+    430: [27, 28, 29, 54, 55],
+    440: [26, 27, 28, 54, 55],
+    450: [26, 27, 55, 56],
+    460: [24, 25, 26, 27, 55, 56],
+    470: [24, 25, 55, 56],
+    480: [23, 24, 25, 56],
+    490: [23, 24, 56],
+    500: [56]
+  },
+  980: {
+    320: [43, 44, 45, 46, 47],
+    330: [40, 41, 42, 43, 44, 45, 46, 47, 48],
+    340: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    350: [37, 38, 39, 40, 41, 42, 44, 45, 46, 47, 48, 49, 50, 51],
+    360: [35, 36, 37, 38, 39, 40, 48, 49, 50, 51],
+    370: [34, 35, 36, 37, 38, 49, 50, 51, 52],
+    380: [33, 34, 35, 36, 50, 51, 52],
+    390: [32, 33, 34, 35, 51, 52, 53],
+    400: [31, 32, 33, 34, 51, 52, 53],
+    410: [30, 31, 32, 52, 53, 54],
+    420: [29, 30, 31, 53, 54],
+    430: [28, 29, 30, 53, 54],
+    440: [27, 28, 29, 53, 54, 55],
+    450: [26, 27, 28, 54, 55],
+    460: [25, 26, 27, 54, 55],
+    470: [24, 25, 26, 55],
+    480: [23, 24, 25, 55, 56],
+    490: [23, 24, 55, 56],
+    500: [56]
+  },
+  990: {
+    330: [42, 43, 44, 45],
+    340: [40, 41, 42, 43, 44, 45, 46, 47, 48],
+    350: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    360: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    370: [36, 37, 38, 39, 47, 48, 49, 50, 51],
+    380: [34, 35, 36, 37, 48, 49, 50, 51],
+    390: [33, 34, 35, 36, 50, 51, 52],
+    400: [32, 33, 34, 50, 51, 52],
+    410: [31, 32, 33, 51, 52, 53],
+    420: [29, 30, 31, 32, 52, 53],
+    430: [29, 30, 31, 52, 53, 54],
+    440: [28, 29, 53, 54],
+    450: [27, 28, 29, 53, 54],
+    460: [26, 27, 53, 54, 55],
+    470: [25, 26, 27, 54, 55],
+    480: [24, 25, 54, 55],
+    490: [24, 25, 55]
+  },
+  1000: {
+    340: [42, 43, 44, 45, 46],
+    350: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    360: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    370: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    380: [35, 36, 37, 38, 39, 40, 46, 47, 48, 49, 50],
+    390: [33, 34, 35, 36, 37, 48, 49, 50, 51],
+    400: [32, 33, 34, 35, 36, 49, 50, 51],
+    410: [31, 32, 33, 34, 50, 51, 52],
+    420: [30, 31, 32, 33, 51, 52],
+    430: [29, 30, 31, 32, 51, 52, 53],
+    440: [28, 29, 30, 52, 53],
+    450: [27, 28, 29, 52, 53, 54],
+    460: [27, 28, 53, 54],
+    470: [25, 26, 27, 53, 54],
+    480: [25, 26, 53, 54, 55],
+    490: [25, 54]
+  },
+  1010: {
+    350: [43, 44, 45, 46],
+    360: [39, 40, 41, 42, 43, 44, 45, 46, 47],
+    370: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    380: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    390: [34, 35, 36, 37, 38, 39, 47, 48, 49, 50],
+    400: [34, 35, 36, 37, 48, 49, 50, 51],
+    410: [32, 33, 34, 35, 49, 50, 51],
+    420: [31, 32, 33, 34, 50, 51, 52],
+    430: [30, 31, 32, 50, 51, 52],
+    440: [29, 30, 31, 51, 52],
+    450: [28, 29, 30, 51, 52, 53],
+    460: [27, 28, 29, 52, 53],
+    470: [26, 27, 28, 52, 53, 54],
+    480: [26, 27, 53, 54],
+    490: [26]
+  },
+  1020: {
+    360: [41, 42, 43],
+    370: [40, 41, 42, 43, 44, 45, 46, 47],
+    380: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    390: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    400: [34, 35, 36, 37, 38, 45, 46, 47, 48, 49, 50],
+    410: [33, 34, 35, 36, 37, 47, 48, 49, 50],
+    420: [32, 33, 34, 35, 49, 50, 51],
+    430: [31, 32, 33, 49, 50, 51],
+    440: [29, 30, 31, 32, 50, 51, 52],
+    450: [29, 30, 31, 50, 51, 52],
+    460: [27, 28, 29, 30, 51, 52],
+    470: [27, 28, 29, 51, 52, 53],
+    480: [26, 27, 28, 52, 53],
+    490: [26, 27],
+    500: [26]
+  },
+  1030: {
+    370: [41, 42, 43, 44],
+    380: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    390: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    400: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    410: [34, 35, 36, 37, 38, 39, 45, 46, 47, 48, 49],
+    420: [32, 33, 34, 35, 36, 47, 48, 49, 50],
+    430: [32, 33, 34, 35, 48, 49, 50],
+    440: [30, 31, 32, 33, 49, 50, 51],
+    450: [30, 31, 32, 49, 50, 51],
+    460: [28, 29, 30, 31, 50, 51, 52],
+    470: [28, 29, 30, 50, 51, 52],
+    480: [26, 27, 28, 51, 52],
+    490: [26, 27, 51]
+  },
+  1040: {
+    380: [42, 43, 44],
+    390: [38, 39, 40, 41, 42, 43, 44, 45],
+    400: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    410: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    420: [34, 35, 36, 37, 38, 39, 45, 46, 47, 48, 49],
+    430: [32, 33, 34, 35, 36, 46, 47, 48, 49],
+    440: [31, 32, 33, 34, 47, 48, 49, 50],
+    450: [30, 31, 32, 33, 48, 49, 50],
+    460: [29, 30, 31, 49, 50, 51],
+    470: [28, 29, 30, 31, 49, 50, 51],
+    480: [27, 28, 29, 50, 51],
+    490: [27, 28, 51]
+  },
+  1050: {
+    400: [38, 39, 40, 41, 42, 43, 44, 45],
+    410: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    420: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    430: [33, 34, 35, 36, 37, 38, 39, 42, 43, 44, 45, 46, 47, 48],
+    440: [32, 33, 34, 35, 36, 46, 47, 48, 49],
+    450: [31, 32, 33, 34, 47, 48, 49],
+    460: [30, 31, 32, 33, 48, 49, 50],
+    470: [29, 30, 31, 48, 49, 50],
+    480: [28, 29, 30, 49, 50, 51],
+    490: [28, 29, 50, 51]
+  },
+  1060: {
+    400: [41, 42],
+    410: [38, 39, 40, 41, 42, 43, 44, 45],
+    420: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    430: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    440: [33, 34, 35, 36, 37, 38, 43, 44, 45, 46, 47, 48],
+    450: [32, 33, 34, 35, 36, 45, 46, 47, 48],
+    460: [31, 32, 33, 34, 46, 47, 48, 49],
+    470: [29, 30, 31, 32, 48, 49],
+    480: [29, 30, 31, 48, 49, 50],
+    490: [49, 50]
+  },
+  1070: {
+    420: [38, 39, 40, 41, 42, 43, 44],
+    430: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    440: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    450: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    460: [32, 33, 34, 35, 36, 44, 45, 46, 47, 48],
+    470: [30, 31, 32, 33, 34, 46, 47, 48, 49],
+    480: [30, 31, 32, 33, 46, 47, 48, 49],
+    490: [31, 48]
+  },
+  1080: {
+    430: [38, 39, 40, 41, 42, 43, 44],
+    440: [36, 37, 38, 39, 40, 41, 42, 43, 44],
+    450: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    460: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    470: [32, 33, 34, 35, 36, 37, 44, 45, 46, 47, 48],
+    480: [31, 32, 33, 45, 46, 47, 48],
+    490: [31, 32, 33],
+    500: [31]
+  },
+  1090: {
+    440: [39, 40],
+    450: [36, 37, 38, 39, 40, 41, 42, 43, 44],
+    460: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    470: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    480: [31, 32, 33, 34, 35, 36, 42, 43, 44, 45, 46],
+    490: [31, 32, 33, 34]
+  },
+  1100: {
+    450: [38, 39, 40, 41, 42],
+    460: [36, 37, 38, 39, 40, 41, 42, 43, 44],
+    470: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    480: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    490: [33, 34, 35, 36]
+  },
+  1110: {
+    460: [39, 40, 41],
+    470: [35, 36, 37, 38, 39, 40, 41, 42, 43],
+    480: [35, 36, 37, 38, 39, 40, 41, 42]
+  }
+};
@@ -1,4628 +0,0 @@
-// Firing Table Data for World 6
-// Generated on 2025-08-04T23:46:08.333Z
-export default {
-  0: {
-    0: [95, 96, 100, 101],
-    10: [95, 100, 101],
-    20: [95, 101, 102],
-    30: [95, 101, 102],
-    40: [95, 101, 102, 103],
-    50: [95, 102, 103],
-    60: [95, 102, 103, 104],
-    70: [95, 103, 104],
-    80: [95, 103, 104, 105],
-    90: [95, 104, 105],
-    100: [95, 104, 105],
-    110: [95, 104, 105, 106],
-    120: [95, 105, 106, 107],
-    130: [95, 105, 106, 107],
-    140: [95, 106, 107, 108],
-    150: [95, 106, 107, 108, 109],
-    160: [95, 107, 108, 109],
-    170: [95, 108, 109, 110],
-    180: [95, 109, 110, 111],
-    190: [109, 110, 111, 112],
-    200: [95, 110, 111, 112],
-    210: [110, 111, 112, 113],
-    220: [112, 113],
-    230: [112, 113, 114, 115],
-    240: [113, 114, 115, 116],
-    250: [114, 115, 116, 117],
-    260: [115, 116, 117, 118, 119],
-    270: [118],
-    280: [117, 118, 119, 120, 121, 122],
-    290: [94, 119, 120, 121, 122],
-    300: [121, 122, 123, 124],
-    310: [94, 121, 122, 123, 124, 125, 126],
-    320: [94, 123, 124, 125, 126, 127],
-    330: [94, 127, 128, 129],
-    340: [94, 127, 128, 129, 130, 131, 132, 133],
-    350: [94, 129, 130, 131, 132, 133, 134],
-    360: [94],
-    370: [94, 134, 135, 136, 137, 138, 139, 140],
-    380: [136, 137, 138, 139, 140, 141, 142, 143, 144],
-    390: [94, 140, 141, 142, 143, 144, 145, 146],
-    400: [94],
-    410: [94, 148, 149, 150, 151, 152],
-    420: [94, 150, 151, 152, 153, 154, 155, 156, 157, 158],
-    430: [94, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
-    440: [94, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167],
-    450: [94, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
-    460: [94, 167, 168, 169, 170, 171, 172, 173, 174, 175],
-    470: [94, 172, 173, 174, 175, 176, 177, 178, 179],
-    480: [94, 177, 178, 179, 180, 181, 182, 183, 184],
-    490: [94, 182, 183, 184, 185],
-  },
-  10: {
-    0: [95, 99, 100],
-    10: [95, 100, 101],
-    20: [95, 100, 101],
-    30: [95, 100, 101],
-    40: [95, 101, 102],
-    50: [95, 101, 102],
-    60: [95, 101, 102, 103],
-    70: [95, 102, 103],
-    80: [95, 102, 103],
-    90: [95, 102, 103, 104],
-    100: [103, 104],
-    110: [103, 104, 105],
-    120: [104, 105, 106],
-    130: [94, 104, 105, 106],
-    140: [94, 105, 106, 107],
-    150: [94, 105, 106, 107],
-    160: [94, 106, 107, 108],
-    170: [94, 106, 107, 108],
-    180: [94, 107, 108, 109],
-    190: [94, 107, 108, 109, 110],
-    200: [94, 108, 109, 110, 111],
-    210: [94, 109, 110, 111, 112],
-    220: [94, 110, 111, 112],
-    230: [94, 110, 111, 112, 113, 114],
-    240: [94, 113],
-    250: [94, 112, 113, 114, 115, 116],
-    260: [94, 113, 114, 115, 116],
-    270: [94, 115, 116, 117, 118],
-    280: [94, 115, 116, 117, 118, 119, 120],
-    290: [94, 118, 119],
-    300: [94, 118, 119, 120, 121, 122, 123],
-    310: [94, 119, 120, 121, 122, 123, 124],
-    320: [94],
-    330: [94, 123, 124, 125, 126, 127, 128],
-    340: [94, 124, 125, 126, 127, 128, 129, 130],
-    350: [94],
-    360: [94, 129, 130, 131, 132, 133, 134, 135],
-    370: [94, 131, 132, 133, 134, 135, 136, 137, 138],
-    380: [94, 134, 135, 136, 137, 138, 139, 140],
-    390: [94],
-    400: [94, 141, 142, 143, 144, 145, 146, 147, 148],
-    410: [94, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
-    420: [94, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
-    430: [94, 153, 154, 155, 156, 157, 158, 159],
-    440: [94, 161],
-    450: [94],
-    460: [94],
-    470: [175, 176, 177, 178],
-    480: [94, 180, 181, 182, 183],
-  },
-  20: {
-    0: [95, 98, 99],
-    10: [95, 99, 100],
-    20: [94, 99, 100],
-    30: [94, 99, 100],
-    40: [94, 100, 101],
-    50: [94, 100, 101],
-    60: [94, 100, 101, 102],
-    70: [94, 101, 102],
-    80: [94, 101, 102],
-    90: [94, 101, 102, 103],
-    100: [94, 102, 103],
-    110: [94, 102, 103, 104],
-    120: [94, 102, 103, 104],
-    130: [94, 103, 104],
-    140: [94, 103, 104, 105],
-    150: [94, 104, 105],
-    160: [94, 104, 105, 106, 107],
-    170: [94, 105, 106, 107],
-    180: [94, 105, 106, 107, 108],
-    190: [94, 106, 107, 108],
-    200: [94, 106, 107, 108, 109],
-    210: [94, 107, 108, 109],
-    220: [94, 108, 109, 110, 111],
-    230: [94, 109, 110, 111, 112],
-    240: [94, 110, 111, 112, 113],
-    250: [94, 110, 111, 112, 113, 114],
-    260: [94, 113],
-    270: [94, 112, 113, 114, 115, 116],
-    280: [113, 114, 115, 116, 117],
-    290: [94, 115, 116, 117, 118],
-    300: [115, 116, 117, 118, 119, 120, 121],
-    310: [94, 118, 119, 120, 121],
-    320: [119, 120, 121, 122, 123, 124],
-    330: [120, 121, 122, 123, 124, 125, 126],
-    340: [123, 124, 125, 126],
-    350: [125, 126, 127, 128, 129, 130],
-    360: [126, 127, 128, 129, 130, 131, 132, 133],
-    370: [129, 130, 131, 132, 133, 134, 135],
-    390: [134, 135, 136, 137, 138, 139, 140, 141, 142],
-    400: [137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
-    410: [142, 143, 144, 145, 146, 147, 148, 149],
-    430: [154, 155, 156],
-    440: [155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
-    450: [159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
-    460: [164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
-    470: [170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
-    480: [93, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
-    490: [181, 182, 183, 184, 185, 186, 187],
-    500: [187],
-  },
-  30: {
-    0: [94, 97, 98],
-    10: [94, 98, 99],
-    20: [94, 98, 99],
-    30: [94, 98, 99, 100],
-    40: [94, 99, 100],
-    50: [94, 99, 100],
-    60: [94, 99, 100, 101],
-    70: [94, 99, 100, 101],
-    80: [94, 100, 101],
-    90: [94, 100, 101, 102],
-    100: [94, 100, 101, 102],
-    110: [94, 101, 102],
-    120: [94, 101, 102, 103],
-    130: [94, 102, 103],
-    140: [102, 103, 104],
-    150: [103, 104],
-    160: [103, 104, 105],
-    170: [104, 105],
-    180: [104, 105, 106],
-    190: [105, 106, 107],
-    200: [105, 106, 107, 108],
-    210: [93, 106, 107, 108],
-    220: [106, 107, 108, 109],
-    230: [93, 107, 108, 109],
-    240: [107, 108, 109, 110, 111],
-    250: [93, 108, 109, 110, 111, 112],
-    260: [93, 110, 111, 112, 113],
-    270: [93, 110, 111, 112, 113, 114],
-    280: [93, 112, 113, 114],
-    290: [93, 112, 113, 114, 115, 116, 117],
-    300: [93, 113, 114, 115, 116, 117, 118],
-    310: [93, 117, 118],
-    320: [93, 116, 117, 118, 119, 120, 121, 122],
-    330: [93, 118, 119, 120, 121, 122, 123],
-    340: [93, 121, 122, 123, 124],
-    350: [93, 121, 122, 123, 124, 125, 126, 127, 128],
-    360: [93, 123, 124, 125, 126, 127, 128, 129, 130],
-    370: [93],
-    380: [93, 128, 129, 130, 131, 132, 133, 134, 135, 136],
-    390: [93, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
-    400: [93, 136, 137, 138, 139, 140, 141, 142],
-    410: [93],
-    420: [93, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
-    430: [93, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
-    440: [
-      93, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164,
-    ],
-    450: [93, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
-    460: [93, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
-    470: [93, 172, 173, 174, 175, 176, 177, 178, 179, 180],
-    480: [93, 178, 179, 180, 181, 182, 183, 184, 185, 186],
-    490: [93, 184, 185, 186, 187],
-  },
-  40: {
-    0: [94, 97, 98],
-    10: [94, 97, 98],
-    20: [94, 97, 98],
-    30: [94, 97, 98, 99],
-    40: [93, 98, 99],
-    50: [93, 98, 99],
-    60: [93, 98, 99],
-    70: [93, 98, 99, 100],
-    80: [93, 99, 100],
-    90: [93, 99, 100],
-    100: [93, 99, 100, 101],
-    110: [93, 100, 101],
-    120: [93, 100, 101, 102],
-    130: [93, 100, 101, 102],
-    140: [93, 100, 101, 102, 103],
-    150: [93, 101, 102, 103],
-    160: [93, 101, 102, 103, 104],
-    170: [93, 102, 103, 104],
-    180: [93, 102, 103, 104, 105],
-    190: [93, 103, 104, 105],
-    200: [93, 103, 104, 105, 106],
-    210: [93, 104, 105, 106],
-    220: [93, 104, 105, 106, 107],
-    230: [93, 106, 107],
-    240: [93, 105, 106, 107, 108, 109],
-    250: [93, 107, 108, 109],
-    260: [93, 107, 108, 109, 110, 111],
-    270: [93, 108, 109, 110, 111, 112],
-    280: [93, 110, 111, 112],
-    290: [93, 109, 110, 111, 112, 113, 114, 115],
-    300: [93, 111, 112, 113, 114],
-    310: [93, 112, 113, 114, 115, 116, 117],
-    320: [93, 113, 114, 115, 116, 117, 118, 119],
-    330: [93, 117],
-    340: [93, 116, 117, 118, 119, 120, 121, 122, 123],
-    350: [93, 118, 119, 120, 121, 122, 123, 124, 125],
-    360: [93],
-    370: [93, 123, 124, 125, 126, 127, 128, 129, 130],
-    380: [93, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
-    390: [93, 129, 130, 131, 132, 133, 134, 135],
-    410: [93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
-    420: [
-      93, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151,
-    ],
-    430: [93, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
-    440: [93, 153, 154, 155, 156, 157],
-    450: [93],
-    460: [93],
-    470: [173, 174, 175, 176, 177, 178, 179],
-    480: [93, 180, 181, 182, 183, 184, 185, 186, 187],
-    490: [190],
-  },
-  50: {
-    0: [93, 96, 97],
-    10: [93, 96, 97],
-    20: [93, 96, 97],
-    30: [93, 96, 97, 98],
-    40: [93, 97, 98],
-    50: [93, 97, 98],
-    60: [93, 97, 98],
-    70: [93, 97, 98, 99],
-    80: [93, 97, 98, 99],
-    90: [93, 98, 99],
-    100: [93, 98, 99, 100],
-    110: [93, 98, 99, 100],
-    120: [93, 98, 99, 100],
-    130: [93, 99, 100, 101],
-    140: [93, 99, 100, 101],
-    150: [93, 99, 100, 101, 102],
-    160: [93, 100, 101, 102],
-    170: [93, 100, 101, 102, 103],
-    180: [93, 101, 102, 103],
-    190: [93, 101, 102, 103, 104],
-    200: [93, 101, 102, 103, 104],
-    210: [93, 102, 103, 104, 105],
-    220: [102, 103, 104, 105],
-    230: [93, 103, 104, 105, 106],
-    240: [103, 104, 105, 106, 107],
-    250: [93, 106],
-    260: [105, 106, 107, 108, 109],
-    270: [106, 107, 108, 109],
-    280: [106, 107, 108, 109, 110, 111],
-    290: [107, 108, 109, 110, 111, 112],
-    310: [109, 110, 111, 112, 113, 114, 115],
-    320: [111, 112, 113, 114, 115, 116],
-    330: [113, 114, 115, 116],
-    340: [113, 114, 115, 116, 117, 118, 119, 120],
-    350: [115, 116, 117, 118, 119, 120, 121],
-    360: [118, 119, 120, 121, 122, 123],
-    370: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
-    380: [122, 123, 124, 125, 126, 127, 128, 129],
-    400: [127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
-    410: [130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
-    420: [137, 138, 139, 140, 141, 142, 143, 144, 145],
-    440: [148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
-    450: [
-      152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166,
-      167, 168,
-    ],
-    460: [
-      159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173,
-      174, 175, 176,
-    ],
-    470: [
-      166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180,
-      181, 182, 183, 184,
-    ],
-    480: [
-      92, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188,
-      189, 190, 191, 192,
-    ],
-    490: [183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
-    500: [191, 192],
-  },
-  60: {
-    0: [93, 95, 96],
-    10: [93, 95, 96],
-    20: [93, 95, 96],
-    30: [93, 95, 96, 97],
-    40: [93, 96, 97],
-    50: [93, 96, 97],
-    60: [93, 96, 97],
-    70: [96, 97, 98],
-    80: [96, 97, 98],
-    90: [97, 98],
-    100: [92, 97, 98, 99],
-    110: [92, 97, 98, 99],
-    120: [97, 98, 99],
-    130: [92, 97, 98, 99, 100],
-    140: [92, 98, 99, 100],
-    150: [92, 98, 99, 100],
-    160: [92, 99, 100],
-    170: [92, 98, 99, 100, 101],
-    180: [92, 99, 100, 101],
-    190: [92, 99, 100, 101, 102],
-    200: [92, 100, 101, 102],
-    210: [92, 100, 101, 102, 103],
-    220: [92, 101, 102, 103],
-    230: [92, 101, 102, 103, 104],
-    240: [92, 101, 102, 103, 104, 105],
-    250: [92, 103, 104, 105],
-    260: [92, 102, 103, 104, 105, 106, 107],
-    270: [92, 105, 106],
-    280: [92, 104, 105, 106, 107, 108, 109],
-    290: [92, 105, 106, 107, 108, 109],
-    300: [92, 106, 107, 108, 109, 110],
-    310: [92, 106, 107, 108, 109, 110, 111, 112],
-    320: [92, 109, 110, 111],
-    330: [92, 109, 110, 111, 112, 113, 114, 115],
-    340: [92, 109, 110, 111, 112, 113, 114, 115, 116, 117],
-    350: [92],
-    360: [92, 113, 114, 115, 116, 117, 118, 119, 120, 121],
-    370: [92, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
-    380: [92],
-    390: [92, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
-    400: [92, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
-    410: [92, 128, 129, 130, 131, 132, 133, 134, 135, 136],
-    420: [92],
-    430: [
-      92, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148,
-      149, 150,
-    ],
-    440: [
-      92, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153,
-      154, 155, 156, 157, 158,
-    ],
-    450: [
-      92, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161,
-      162, 163, 164, 165,
-    ],
-    460: [
-      92, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171,
-      172,
-    ],
-    470: [92, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
-    480: [92, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189],
-    490: [187, 188, 189, 190, 191, 192],
-  },
-  70: {
-    0: [92, 94, 95],
-    10: [92, 94, 95],
-    20: [92, 94, 95],
-    30: [92, 94, 95, 96],
-    40: [92, 94, 95, 96],
-    50: [92, 95, 96],
-    60: [92, 95, 96],
-    70: [92, 95, 96],
-    80: [92, 95, 96, 97],
-    90: [92, 96, 97],
-    100: [92, 95, 96, 97],
-    110: [92, 96, 97, 98],
-    120: [92, 96, 97, 98],
-    130: [92, 96, 97, 98],
-    140: [92, 97, 98],
-    150: [92, 96, 97, 98, 99],
-    160: [92, 97, 98, 99],
-    170: [92, 97, 98, 99, 100],
-    180: [92, 98, 99],
-    190: [92, 97, 98, 99, 100],
-    200: [92, 99, 100],
-    210: [92, 98, 99, 100, 101],
-    220: [92, 99, 100, 101],
-    230: [92, 99, 100, 101, 102],
-    240: [92, 99, 100, 101, 102, 103],
-    250: [92, 100, 101, 102, 103],
-    260: [92, 100, 101, 102, 103, 104],
-    270: [92, 102, 103, 104],
-    280: [92, 101, 102, 103, 104, 105, 106],
-    290: [92, 103, 104, 105, 106],
-    300: [92, 103, 104, 105, 106, 107, 108],
-    310: [92, 103, 104, 105, 106, 107, 108, 109],
-    320: [92],
-    330: [92, 105, 106, 107, 108, 109, 110, 111, 112],
-    340: [92, 107, 108, 109, 110, 111, 112],
-    350: [92, 109, 110, 111, 112, 113],
-    360: [92, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
-    370: [92, 111, 112, 113, 114, 115, 116, 117, 118],
-    380: [92, 115, 116, 117, 118, 119, 120],
-    390: [92, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
-    400: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
-    410: [92],
-    420: [
-      124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138,
-      139, 140,
-    ],
-    430: [
-      92, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142,
-      143, 144, 145, 146, 147,
-    ],
-    440: [138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
-    450: [92],
-    460: [92],
-    480: [92],
-  },
-  80: {
-    0: [92, 93, 94],
-    10: [92, 93, 94],
-    20: [92, 93, 94],
-    30: [92, 93, 94, 95],
-    40: [92, 93, 94, 95],
-    50: [92, 94, 95],
-    60: [92, 94, 95],
-    70: [92, 94, 95],
-    80: [92, 94, 95, 96],
-    90: [92, 94, 95, 96],
-    100: [92, 94, 95, 96],
-    110: [92, 94, 95, 96],
-    120: [92, 95, 96],
-    130: [92, 95, 96, 97],
-    140: [92, 95, 96, 97],
-    150: [95, 96, 97],
-    160: [92, 96, 97],
-    170: [95, 96, 97, 98],
-    180: [96, 97, 98],
-    190: [96, 97, 98, 99],
-    200: [97, 98],
-    210: [96, 97, 98, 99],
-    220: [97, 98, 99],
-    230: [97, 98, 99, 100],
-    240: [98, 99, 100],
-    250: [97, 98, 99, 100, 101],
-    260: [98, 99, 100, 101, 102],
-    270: [99, 100, 101, 102],
-    280: [98, 99, 100, 101, 102, 103],
-    290: [101, 102],
-    300: [99, 100, 101, 102, 103, 104, 105],
-    310: [100, 101, 102, 103, 104, 105],
-    320: [102, 103, 104, 105, 106],
-    330: [101, 102, 103, 104, 105, 106, 107, 108, 109],
-    340: [104, 105, 106, 107],
-    350: [104, 105, 106, 107, 108, 109, 110, 111],
-    360: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
-    380: [107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
-    390: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
-    410: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
-    420: [
-      117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131,
-      132, 133, 134, 135,
-    ],
-    430: [125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
-  },
-  90: {
-    0: [92, 93],
-    10: [92, 93],
-    20: [92, 93, 94],
-    30: [92, 93, 94],
-    40: [92, 93, 94],
-    50: [92, 93, 94],
-    60: [93, 94],
-    70: [93, 94],
-    80: [93, 94],
-    90: [93, 94, 95],
-    100: [93, 94, 95],
-    110: [93, 94, 95],
-    120: [93, 94, 95],
-    130: [93, 94, 95],
-    140: [94, 95],
-    150: [93, 94, 95, 96],
-    160: [94, 95, 96],
-    170: [94, 95, 96],
-    180: [94, 95, 96],
-    190: [94, 95, 96, 97],
-    200: [95, 96, 97],
-    210: [94, 95, 96, 97, 98],
-    220: [96, 97],
-    230: [94, 95, 96, 97, 98],
-    240: [96, 97, 98],
-    250: [95, 96, 97, 98, 99],
-    260: [96, 97, 98, 99],
-    270: [96, 97, 98, 99, 100],
-    280: [96, 97, 98, 99, 100, 101],
-    290: [99],
-    300: [96, 97, 98, 99, 100, 101, 102],
-    310: [98, 99, 100, 101, 102],
-    320: [98, 99, 100, 101, 102, 103],
-    330: [98, 99, 100, 101, 102, 103, 104, 105],
-    350: [99, 100, 101, 102, 103, 104, 105, 106, 107],
-    360: [100, 101, 102, 103, 104, 105, 106, 107, 108],
-    380: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
-    390: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
-    410: [
-      106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120,
-      121, 122, 123,
-    ],
-    420: [
-      111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125,
-      126,
-    ],
-  },
-  100: {
-    0: [91, 92],
-    10: [91, 92],
-    20: [91, 92, 93],
-    30: [92, 93],
-    40: [91, 92, 93],
-    50: [91, 92, 93],
-    60: [92, 93],
-    70: [92, 93],
-    80: [92, 93],
-    90: [92, 93],
-    100: [92, 93],
-    110: [92, 93, 94],
-    120: [92, 93],
-    130: [92, 93, 94],
-    140: [92, 93, 94],
-    150: [92, 93, 94],
-    160: [92, 93, 94],
-    170: [92, 93, 94, 95],
-    180: [92, 93, 94, 95],
-    190: [92, 93, 94, 95],
-    200: [93, 94, 95],
-    210: [92, 93, 94, 95, 96],
-    220: [93, 94, 95],
-    230: [92, 93, 94, 95, 96],
-    240: [94, 95],
-    250: [93, 94, 95, 96, 97],
-    260: [93, 94, 95, 96],
-    270: [93, 94, 95, 96, 97],
-    280: [93, 94, 95, 96, 97, 98],
-    290: [95, 96, 97],
-    300: [93, 94, 95, 96, 97, 98, 99],
-    310: [95, 96, 97, 98],
-    320: [94, 95, 96, 97, 98, 99, 100],
-    330: [94, 95, 96, 97, 98, 99, 100, 101],
-    350: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
-    360: [96, 97, 98, 99, 100, 101, 102, 103],
-    370: [98, 99, 100, 101, 102, 103, 104],
-    380: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
-    390: [100, 101, 102, 103, 104, 105, 106],
-    400: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
-    410: [
-      98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112,
-      113, 114, 115, 116,
-    ],
-    420: [106, 107, 108, 109, 110, 111, 112, 113, 114],
-  },
-  110: {
-    0: [90, 91],
-    10: [90, 91, 92],
-    20: [90, 91, 92],
-    30: [91, 92],
-    40: [90, 91, 92],
-    50: [90, 91, 92],
-    60: [90, 91, 92],
-    70: [91, 92],
-    80: [90, 91, 92],
-    90: [90, 91, 92],
-    100: [90, 91, 92],
-    110: [90, 91, 92],
-    120: [91, 92],
-    130: [90, 91, 92, 93],
-    140: [91, 92],
-    150: [90, 91, 92, 93],
-    160: [91, 92, 93],
-    170: [90, 91, 92, 93],
-    180: [91, 92, 93],
-    190: [90, 91, 92, 93],
-    200: [91, 92, 93],
-    210: [90, 91, 92, 93, 94],
-    220: [91, 92, 93],
-    230: [90, 91, 92, 93, 94],
-    240: [92],
-    250: [90, 91, 92, 93, 94, 95],
-    260: [91, 92, 93, 94],
-    270: [90, 91, 92, 93, 94, 95],
-    280: [90, 91, 92, 93, 94, 95],
-    290: [91, 92, 93, 94],
-    300: [90, 91, 92, 93, 94, 95, 96],
-    310: [92, 93, 94],
-    320: [90, 91, 92, 93, 94, 95, 96, 97],
-    330: [90, 91, 92, 93, 94, 95, 96, 97],
-    340: [93, 94, 95],
-    350: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
-    360: [92, 93, 94, 95, 96, 97, 98],
-    370: [91, 92, 93, 94, 95, 96, 97, 98, 99],
-    380: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
-    400: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
-    410: [
-      90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106,
-      107, 108,
-    ],
-  },
-  120: {
-    0: [89, 90, 91],
-    10: [89, 90, 91],
-    20: [89, 90, 91],
-    30: [89, 90, 91],
-    40: [89, 90, 91],
-    50: [89, 90, 91],
-    60: [89, 90, 91],
-    70: [89, 90, 91],
-    80: [89, 90, 91],
-    90: [89, 90, 91],
-    100: [89, 90, 91],
-    110: [89, 90, 91],
-    120: [89, 90, 91],
-    130: [89, 90, 91],
-    140: [89, 90, 91],
-    150: [89, 90, 91],
-    160: [89, 90, 91],
-    170: [89, 90, 91],
-    180: [89, 90, 91],
-    190: [89, 90, 91],
-    200: [89, 90, 91],
-    210: [88, 89, 90, 91, 92],
-    220: [89, 90, 91],
-    230: [88, 89, 90, 91, 92],
-    240: [90],
-    250: [88, 89, 90, 91, 92],
-    260: [89, 90, 91],
-    270: [88, 89, 90, 91, 92],
-    280: [88, 89, 90, 91, 92],
-    290: [88, 89, 90, 91, 92],
-    300: [87, 88, 89, 90, 91, 92, 93],
-    310: [89, 90, 91],
-    320: [87, 88, 89, 90, 91, 92, 93],
-    330: [87, 88, 89, 90, 91, 92, 93],
-    340: [89, 90, 91],
-    350: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
-    360: [87, 88, 89, 90, 91, 92, 93],
-    370: [86, 87, 88, 89, 90, 91, 92, 93, 94],
-    380: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
-    400: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
-    410: [
-      81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98,
-      99,
-    ],
-  },
-  130: {
-    0: [89, 90],
-    10: [88, 89, 90],
-    20: [88, 89, 90],
-    30: [88, 89],
-    40: [88, 89, 90],
-    50: [88, 89, 90],
-    60: [88, 89, 90],
-    70: [88, 89],
-    80: [88, 89, 90],
-    90: [88, 89, 90],
-    100: [88, 89, 90],
-    110: [88, 89, 90],
-    120: [88, 89],
-    130: [87, 88, 89, 90],
-    140: [88, 89],
-    150: [87, 88, 89, 90],
-    160: [87, 88, 89],
-    170: [87, 88, 89, 90],
-    180: [87, 88, 89],
-    190: [87, 88, 89, 90],
-    200: [87, 88, 89],
-    210: [86, 87, 88, 89, 90],
-    220: [87, 88, 89],
-    230: [86, 87, 88, 89, 90],
-    240: [88],
-    250: [85, 86, 87, 88, 89, 90],
-    260: [86, 87, 88, 89],
-    270: [85, 86, 87, 88, 89, 90],
-    280: [85, 86, 87, 88, 89, 90],
-    290: [86, 87, 88, 89],
-    300: [84, 85, 86, 87, 88, 89, 90],
-    310: [86, 87, 88],
-    320: [83, 84, 85, 86, 87, 88, 89, 90],
-    330: [83, 84, 85, 86, 87, 88, 89, 90],
-    340: [85, 86, 87],
-    350: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
-    360: [82, 83, 84, 85, 86, 87, 88],
-    370: [81, 82, 83, 84, 85, 86, 87, 88, 89],
-    380: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
-    400: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
-    410: [
-      72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89,
-      90,
-    ],
-  },
-  140: {
-    0: [88, 89],
-    10: [88, 89],
-    20: [87, 88, 89],
-    30: [87, 88],
-    40: [87, 88, 89],
-    50: [87, 88, 89],
-    60: [87, 88],
-    70: [87, 88],
-    80: [87, 88],
-    90: [87, 88],
-    100: [87, 88],
-    110: [86, 87, 88],
-    120: [87, 88],
-    130: [86, 87, 88],
-    140: [86, 87, 88],
-    150: [86, 87, 88],
-    160: [86, 87, 88],
-    170: [85, 86, 87, 88],
-    180: [85, 86, 87, 88],
-    190: [85, 86, 87, 88],
-    200: [85, 86, 87],
-    210: [84, 85, 86, 87, 88],
-    220: [85, 86, 87],
-    230: [84, 85, 86, 87, 88],
-    240: [85, 86],
-    250: [83, 84, 85, 86, 87],
-    260: [84, 85, 86, 87],
-    270: [83, 84, 85, 86, 87],
-    280: [82, 83, 84, 85, 86, 87],
-    290: [83, 84, 85],
-    300: [81, 82, 83, 84, 85, 86, 87],
-    310: [82, 83, 84, 85],
-    320: [80, 81, 82, 83, 84, 85, 86],
-    330: [79, 80, 81, 82, 83, 84, 85, 86],
-    350: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
-    360: [77, 78, 79, 80, 81, 82, 83, 84],
-    370: [76, 77, 78, 79, 80, 81, 82],
-    380: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
-    390: [74, 75, 76, 77, 78, 79, 80],
-    400: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
-    410: [
-      64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81,
-      82,
-    ],
-    420: [66, 67, 68, 69, 70, 71, 72, 73, 74],
-  },
-  150: {
-    0: [87, 88],
-    10: [87, 88],
-    20: [86, 87, 88],
-    30: [86, 87, 88],
-    40: [86, 87, 88],
-    50: [86, 87, 88],
-    60: [86, 87],
-    70: [86, 87],
-    80: [86, 87],
-    90: [85, 86, 87],
-    100: [85, 86, 87],
-    110: [85, 86, 87],
-    120: [85, 86, 87],
-    130: [85, 86, 87],
-    140: [85, 86],
-    150: [84, 85, 86, 87],
-    160: [84, 85, 86],
-    170: [84, 85, 86],
-    180: [84, 85, 86],
-    190: [83, 84, 85, 86],
-    200: [83, 84, 85],
-    210: [82, 83, 84, 85, 86],
-    220: [83, 84],
-    230: [82, 83, 84, 85, 86],
-    240: [82, 83, 84],
-    250: [81, 82, 83, 84, 85],
-    260: [81, 82, 83, 84],
-    270: [80, 81, 82, 83, 84],
-    280: [79, 80, 81, 82, 83, 84],
-    290: [81],
-    300: [78, 79, 80, 81, 82, 83, 84],
-    310: [78, 79, 80, 81, 82],
-    320: [77, 78, 79, 80, 81, 82],
-    330: [75, 76, 77, 78, 79, 80, 81, 82],
-    350: [73, 74, 75, 76, 77, 78, 79, 80, 81],
-    360: [72, 73, 74, 75, 76, 77, 78, 79, 80],
-    380: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
-    390: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
-    410: [
-      57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74,
-    ],
-    420: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
-  },
-  160: {
-    0: [86, 87, 88],
-    10: [86, 87, 88],
-    20: [86, 87, 88],
-    30: [85, 86, 87, 88],
-    40: [85, 86, 87, 88],
-    50: [85, 86, 88],
-    60: [85, 86, 88],
-    70: [85, 86, 88],
-    80: [84, 85, 86, 88],
-    90: [84, 85, 86, 88],
-    100: [84, 85, 86, 88],
-    110: [84, 85, 86, 88],
-    120: [84, 85, 88],
-    130: [83, 84, 85, 88],
-    140: [83, 84, 85, 88],
-    150: [83, 84, 85],
-    160: [83, 84, 88],
-    170: [82, 83, 84, 85],
-    180: [82, 83, 84],
-    190: [81, 82, 83, 84],
-    200: [82, 83],
-    210: [81, 82, 83, 84],
-    220: [81, 82, 83],
-    230: [80, 81, 82, 83],
-    240: [80, 81, 82],
-    250: [79, 80, 81, 82, 83],
-    260: [78, 79, 80, 81, 82],
-    270: [78, 79, 80, 81],
-    280: [77, 78, 79, 80, 81, 82],
-    290: [78, 79],
-    300: [75, 76, 77, 78, 79, 80, 81],
-    310: [75, 76, 77, 78, 79, 80],
-    320: [74, 75, 76, 77, 78],
-    330: [71, 72, 73, 74, 75, 76, 77, 78, 79],
-    340: [73, 74, 75, 76],
-    350: [69, 70, 71, 72, 73, 74, 75, 76],
-    360: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
-    380: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
-    390: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
-    410: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
-    420: [
-      45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62,
-      63,
-    ],
-    430: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
-  },
-  170: {
-    0: [85, 86, 88],
-    10: [85, 86, 88],
-    20: [85, 86, 88],
-    30: [84, 85, 86, 88],
-    40: [84, 85, 86, 88],
-    50: [84, 85, 88],
-    60: [84, 85, 88],
-    70: [84, 85, 88],
-    80: [83, 84, 85, 88],
-    90: [83, 84, 88],
-    100: [83, 84, 85, 88],
-    110: [82, 83, 84, 88],
-    120: [82, 83, 84, 88],
-    130: [82, 83, 84, 88],
-    140: [82, 83, 88],
-    150: [81, 82, 83, 84, 88],
-    160: [81, 82, 83, 88],
-    170: [80, 81, 82, 83, 88],
-    180: [81, 82, 88],
-    190: [80, 81, 82, 83, 88],
-    200: [80, 81, 88],
-    210: [79, 80, 81, 82, 88],
-    220: [79, 80, 81, 88],
-    230: [78, 79, 80, 81, 88],
-    240: [77, 78, 79, 80, 81, 88],
-    250: [77, 78, 79, 80, 88],
-    260: [76, 77, 78, 79, 80, 88],
-    270: [76, 77, 78, 88],
-    280: [74, 75, 76, 77, 78, 79, 88],
-    290: [74, 75, 76, 77, 88],
-    300: [72, 73, 74, 75, 76, 77, 88],
-    310: [71, 72, 73, 74, 75, 76, 77, 88],
-    320: [88],
-    330: [68, 69, 70, 71, 72, 73, 74, 75, 88],
-    340: [68, 69, 70, 71, 72, 73, 88],
-    350: [67, 68, 69, 70, 71, 88],
-    360: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 88],
-    370: [62, 63, 64, 65, 66, 67, 68, 69, 88],
-    380: [60, 61, 62, 63, 64, 65, 88],
-    390: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 88],
-    400: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
-    410: [88],
-    420: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
-    430: [
-      33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50,
-      51, 88,
-    ],
-    440: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
-    450: [88],
-    460: [88],
-    480: [88],
-  },
-  180: {
-    0: [84, 85, 87],
-    10: [84, 85, 87],
-    20: [84, 85, 87],
-    30: [83, 84, 85, 87],
-    40: [83, 84, 87],
-    50: [83, 84, 87],
-    60: [83, 84, 87],
-    70: [82, 83, 84],
-    80: [82, 83, 84],
-    90: [82, 83],
-    100: [81, 82, 83, 88],
-    110: [81, 82, 83, 88],
-    120: [81, 82, 83],
-    130: [80, 81, 82, 83, 88],
-    140: [80, 81, 82, 88],
-    150: [80, 81, 82, 88],
-    160: [80, 81, 88],
-    170: [79, 80, 81, 82, 88],
-    180: [79, 80, 81, 88],
-    190: [78, 79, 80, 81, 88],
-    200: [78, 79, 80, 88],
-    210: [77, 78, 79, 80, 88],
-    220: [77, 78, 79, 88],
-    230: [76, 77, 78, 79, 88],
-    240: [75, 76, 77, 78, 79, 88],
-    250: [75, 76, 77, 88],
-    260: [73, 74, 75, 76, 77, 78, 88],
-    270: [74, 75, 88],
-    280: [71, 72, 73, 74, 75, 76, 88],
-    290: [71, 72, 73, 74, 75, 88],
-    300: [70, 71, 72, 73, 74, 88],
-    310: [68, 69, 70, 71, 72, 73, 74, 88],
-    320: [69, 70, 71, 88],
-    330: [65, 66, 67, 68, 69, 70, 71, 88],
-    340: [63, 64, 65, 66, 67, 68, 69, 70, 71, 88],
-    350: [88],
-    360: [59, 60, 61, 62, 63, 64, 65, 66, 67, 88],
-    370: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 88],
-    380: [88],
-    390: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 88],
-    400: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 88],
-    410: [44, 45, 46, 47, 48, 49, 50, 51, 52, 88],
-    420: [88],
-    430: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 88],
-    440: [
-      22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39,
-      40, 88,
-    ],
-    450: [
-      15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32,
-      88,
-    ],
-    460: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 88],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 88],
-    480: [0, 1, 88, 351, 352, 353, 354, 355, 356, 357, 358, 359],
-    490: [348, 349, 350, 351, 352, 353],
-  },
-  190: {
-    0: [83, 84, 87],
-    10: [83, 84, 87],
-    20: [83, 84, 87],
-    30: [82, 83, 84, 87],
-    40: [82, 83, 87],
-    50: [82, 83, 87],
-    60: [82, 83, 87],
-    70: [81, 82, 83, 87],
-    80: [81, 82, 83, 87],
-    90: [81, 82, 87],
-    100: [80, 81, 82, 87],
-    110: [80, 81, 82, 87],
-    120: [80, 81, 82, 87],
-    130: [79, 80, 81, 87],
-    140: [79, 80, 81, 87],
-    150: [78, 79, 80, 81, 87],
-    160: [78, 79, 80, 87],
-    170: [77, 78, 79, 80, 87],
-    180: [77, 78, 79, 87],
-    190: [76, 77, 78, 79, 87],
-    200: [76, 77, 78, 79, 87],
-    210: [75, 76, 77, 78, 87],
-    220: [75, 76, 77, 78],
-    230: [74, 75, 76, 77, 87],
-    240: [73, 74, 75, 76, 77],
-    250: [74, 87],
-    260: [71, 72, 73, 74, 75],
-    270: [71, 72, 73, 74],
-    280: [69, 70, 71, 72, 73, 74],
-    290: [68, 69, 70, 71, 72, 73],
-    310: [65, 66, 67, 68, 69, 70, 71],
-    320: [64, 65, 66, 67, 68, 69],
-    330: [64, 65, 66, 67],
-    340: [60, 61, 62, 63, 64, 65, 66, 67],
-    350: [59, 60, 61, 62, 63, 64, 65],
-    360: [57, 58, 59, 60, 61, 62],
-    370: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
-    380: [51, 52, 53, 54, 55, 56, 57, 58],
-    400: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
-    410: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
-    420: [35, 36, 37, 38, 39, 40, 41, 42, 43],
-    440: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
-    450: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
-    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 356, 357, 358, 359],
-    480: [
-      0, 1, 2, 3, 4, 5, 88, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357,
-      358, 359,
-    ],
-    490: [348, 349, 350, 351, 352, 353, 354, 355, 356, 357],
-    500: [348, 349],
-  },
-  200: {
-    0: [82, 83, 86],
-    10: [82, 83, 86],
-    20: [82, 83, 86],
-    30: [81, 82, 83, 86],
-    40: [81, 82, 87],
-    50: [81, 82, 87],
-    60: [81, 82, 87],
-    70: [80, 81, 82, 87],
-    80: [80, 81, 87],
-    90: [80, 81, 87],
-    100: [79, 80, 81, 87],
-    110: [79, 80, 87],
-    120: [78, 79, 80, 87],
-    130: [78, 79, 80, 87],
-    140: [77, 78, 79, 80, 87],
-    150: [77, 78, 79, 87],
-    160: [76, 77, 78, 79, 87],
-    170: [76, 77, 78, 87],
-    180: [75, 76, 77, 78, 87],
-    190: [75, 76, 77, 87],
-    200: [74, 75, 76, 77, 87],
-    210: [74, 75, 76, 87],
-    220: [73, 74, 75, 76, 87],
-    230: [73, 74, 87],
-    240: [71, 72, 73, 74, 75, 87],
-    250: [71, 72, 73, 87],
-    260: [69, 70, 71, 72, 73, 87],
-    270: [68, 69, 70, 71, 72, 87],
-    280: [68, 69, 70, 87],
-    290: [65, 66, 67, 68, 69, 70, 71, 87],
-    300: [66, 67, 68, 69, 87],
-    310: [63, 64, 65, 66, 67, 68, 87],
-    320: [61, 62, 63, 64, 65, 66, 67, 87],
-    330: [63, 87],
-    340: [57, 58, 59, 60, 61, 62, 63, 64, 87],
-    350: [55, 56, 57, 58, 59, 60, 61, 62, 87],
-    360: [87],
-    370: [50, 51, 52, 53, 54, 55, 56, 57, 87],
-    380: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 87],
-    390: [45, 46, 47, 48, 49, 50, 51, 87],
-    410: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 87],
-    420: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 87],
-    430: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 87],
-    440: [23, 24, 25, 26, 27, 87],
-    450: [87],
-    460: [87],
-    470: [1, 2, 3, 4, 5, 6, 7],
-    480: [0, 87, 353, 354, 355, 356, 357, 358, 359],
-    490: [350],
-  },
-  210: {
-    0: [82, 83, 86],
-    10: [81, 82, 86],
-    20: [81, 82, 86],
-    30: [80, 81, 82, 86],
-    40: [80, 81, 86],
-    50: [80, 81, 86],
-    60: [79, 80, 81, 86],
-    70: [79, 80, 81, 86],
-    80: [79, 80, 86],
-    90: [78, 79, 80, 86],
-    100: [78, 79, 80, 86],
-    110: [78, 79, 86],
-    120: [77, 78, 79, 86],
-    130: [77, 78, 86],
-    140: [76, 77, 78],
-    150: [76, 77],
-    160: [75, 76, 77],
-    170: [75, 76],
-    180: [74, 75, 76],
-    190: [73, 74, 75],
-    200: [72, 73, 74, 75],
-    210: [72, 73, 74, 87],
-    220: [71, 72, 73, 74],
-    230: [71, 72, 73, 87],
-    240: [69, 70, 71, 72, 73],
-    250: [68, 69, 70, 71, 72, 87],
-    260: [67, 68, 69, 70, 87],
-    270: [66, 67, 68, 69, 70, 87],
-    280: [66, 67, 68, 87],
-    290: [63, 64, 65, 66, 67, 68, 87],
-    300: [62, 63, 64, 65, 66, 67, 87],
-    310: [62, 63, 87],
-    320: [58, 59, 60, 61, 62, 63, 64, 87],
-    330: [57, 58, 59, 60, 61, 62, 87],
-    340: [56, 57, 58, 59, 87],
-    350: [52, 53, 54, 55, 56, 57, 58, 59, 87],
-    360: [50, 51, 52, 53, 54, 55, 56, 57, 87],
-    370: [87],
-    380: [44, 45, 46, 47, 48, 49, 50, 51, 52, 87],
-    390: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 87],
-    400: [38, 39, 40, 41, 42, 43, 44, 87],
-    410: [87],
-    420: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 87],
-    430: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 87],
-    440: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 87],
-    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 87],
-    460: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 87],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 87],
-    480: [0, 1, 2, 87, 354, 355, 356, 357, 358, 359],
-    490: [87, 353, 354, 355, 356],
-  },
-  220: {
-    0: [81, 82, 85],
-    10: [80, 81, 85],
-    20: [80, 81, 86],
-    30: [80, 81, 86],
-    40: [79, 80, 86],
-    50: [79, 80, 86],
-    60: [78, 79, 80, 86],
-    70: [78, 79, 86],
-    80: [78, 79, 86],
-    90: [77, 78, 79, 86],
-    100: [77, 78, 86],
-    110: [76, 77, 78, 86],
-    120: [76, 77, 78, 86],
-    130: [76, 77, 86],
-    140: [75, 76, 77, 86],
-    150: [75, 76, 86],
-    160: [73, 74, 75, 76, 86],
-    170: [73, 74, 75, 86],
-    180: [72, 73, 74, 75, 86],
-    190: [72, 73, 74, 86],
-    200: [71, 72, 73, 74, 86],
-    210: [71, 72, 73, 86],
-    220: [69, 70, 71, 72, 86],
-    230: [68, 69, 70, 71, 86],
-    240: [67, 68, 69, 70, 86],
-    250: [66, 67, 68, 69, 70, 86],
-    260: [67, 86],
-    270: [64, 65, 66, 67, 68, 86],
-    280: [63, 64, 65, 66, 67],
-    290: [62, 63, 64, 65, 86],
-    300: [59, 60, 61, 62, 63, 64, 65],
-    310: [59, 60, 61, 62, 86],
-    320: [56, 57, 58, 59, 60, 61],
-    330: [54, 55, 56, 57, 58, 59, 60],
-    340: [54, 55, 56, 57],
-    350: [50, 51, 52, 53, 54, 55],
-    360: [47, 48, 49, 50, 51, 52, 53, 54],
-    370: [45, 46, 47, 48, 49, 50, 51],
-    390: [38, 39, 40, 41, 42, 43, 44, 45, 46],
-    400: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
-    410: [31, 32, 33, 34, 35, 36, 37, 38],
-    430: [24, 25, 26],
-    440: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25],
-    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21],
-    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 358, 359],
-    480: [0, 1, 2, 3, 4, 87, 353, 354, 355, 356, 357, 358, 359],
-    490: [353, 354, 355, 356, 357, 358, 359],
-    500: [353],
-  },
-  230: {
-    0: [80, 81, 85],
-    10: [79, 80, 85],
-    20: [79, 80, 85],
-    30: [79, 80, 85],
-    40: [78, 79, 85],
-    50: [78, 79, 85],
-    60: [77, 78, 79, 85],
-    70: [77, 78, 85],
-    80: [77, 78, 85],
-    90: [76, 77, 78, 85],
-    100: [76, 77],
-    110: [75, 76, 77],
-    120: [74, 75, 76],
-    130: [74, 75, 76, 86],
-    140: [73, 74, 75, 86],
-    150: [73, 74, 75, 86],
-    160: [72, 73, 74, 86],
-    170: [72, 73, 74, 86],
-    180: [71, 72, 73, 86],
-    190: [70, 71, 72, 73, 86],
-    200: [69, 70, 71, 72, 86],
-    210: [68, 69, 70, 71, 86],
-    220: [68, 69, 70, 86],
-    230: [66, 67, 68, 69, 70, 86],
-    240: [67, 86],
-    250: [64, 65, 66, 67, 68, 86],
-    260: [64, 65, 66, 67, 86],
-    270: [62, 63, 64, 65, 86],
-    280: [60, 61, 62, 63, 64, 65, 86],
-    290: [61, 62, 86],
-    300: [57, 58, 59, 60, 61, 62, 86],
-    310: [56, 57, 58, 59, 60, 61, 86],
-    320: [86],
-    330: [52, 53, 54, 55, 56, 57, 86],
-    340: [50, 51, 52, 53, 54, 55, 56, 86],
-    350: [86],
-    360: [45, 46, 47, 48, 49, 50, 51, 86],
-    370: [42, 43, 44, 45, 46, 47, 48, 49, 86],
-    380: [40, 41, 42, 43, 44, 45, 46, 86],
-    390: [86],
-    400: [32, 33, 34, 35, 36, 37, 38, 39, 86],
-    410: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 86],
-    420: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 86],
-    430: [21, 22, 23, 24, 25, 26, 27, 86],
-    440: [19, 86],
-    450: [86],
-    460: [86],
-    470: [2, 3, 4, 5],
-    480: [0, 86, 357, 358, 359],
-  },
-  240: {
-    0: [79, 80, 84, 85],
-    10: [79, 80, 85],
-    20: [78, 79, 85],
-    30: [78, 79, 85],
-    40: [77, 78, 79, 85],
-    50: [77, 78, 85],
-    60: [76, 77, 78, 85],
-    70: [76, 77, 85],
-    80: [75, 76, 77, 85],
-    90: [75, 76, 85],
-    100: [75, 76, 85],
-    110: [74, 75, 76, 85],
-    120: [73, 74, 75, 85],
-    130: [73, 74, 75, 85],
-    140: [72, 73, 74, 85],
-    150: [71, 72, 73, 74, 85],
-    160: [71, 72, 73, 85],
-    170: [70, 71, 72, 85],
-    180: [69, 70, 71, 85],
-    190: [68, 69, 70, 71],
-    200: [68, 69, 70, 85],
-    210: [67, 68, 69, 70],
-    220: [67, 68],
-    230: [65, 66, 67, 68],
-    240: [64, 65, 66, 67],
-    250: [63, 64, 65, 66],
-    260: [61, 62, 63, 64, 65],
-    270: [62],
-    280: [58, 59, 60, 61, 62, 63],
-    290: [58, 59, 60, 61, 86],
-    300: [56, 57, 58, 59],
-    310: [54, 55, 56, 57, 58, 59, 86],
-    320: [53, 54, 55, 56, 57, 86],
-    330: [51, 52, 53, 86],
-    340: [47, 48, 49, 50, 51, 52, 53, 86],
-    350: [46, 47, 48, 49, 50, 51, 86],
-    360: [86],
-    370: [40, 41, 42, 43, 44, 45, 46, 86],
-    380: [36, 37, 38, 39, 40, 41, 42, 43, 44],
-    390: [34, 35, 36, 37, 38, 39, 40, 86],
-    400: [86],
-    410: [28, 29, 30, 31, 32, 86],
-    420: [22, 23, 24, 25, 26, 27, 28, 29, 30, 86],
-    430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 86],
-    440: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 86],
-    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 86],
-    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 86],
-    470: [1, 2, 3, 4, 5, 6, 7, 8, 86],
-    480: [0, 1, 2, 3, 86, 356, 357, 358, 359],
-    490: [86, 355, 356, 357, 358],
-  },
-  250: {
-    0: [78, 79, 84],
-    10: [78, 79, 84],
-    20: [77, 78, 84],
-    30: [77, 78, 84],
-    40: [76, 77, 78, 84],
-    50: [76, 77, 84],
-    60: [75, 76, 77, 84],
-    70: [75, 76],
-    80: [74, 75, 76, 85],
-    90: [74, 75, 85],
-    100: [73, 74, 75, 85],
-    110: [73, 74, 85],
-    120: [72, 73, 74, 85],
-    130: [71, 72, 73, 85],
-    140: [71, 72, 73, 85],
-    150: [70, 71, 72, 85],
-    160: [70, 71, 85],
-    170: [69, 70, 71, 85],
-    180: [69, 70, 85],
-    190: [67, 68, 69, 70, 85],
-    200: [67, 68, 69, 85],
-    210: [65, 66, 67, 68, 85],
-    220: [65, 66, 67, 85],
-    230: [63, 64, 65, 66, 85],
-    240: [62, 63, 64, 65, 85],
-    250: [62, 63, 85],
-    260: [59, 60, 61, 62, 63, 85],
-    270: [59, 60, 61, 62, 85],
-    280: [57, 58, 59, 60, 85],
-    290: [55, 56, 57, 58, 59, 60, 85],
-    300: [55, 56, 57],
-    310: [52, 53, 54, 55, 56, 85],
-    320: [50, 51, 52, 53, 54, 55],
-    330: [49, 50, 51, 52, 85],
-    340: [46, 47, 48, 49, 50],
-    350: [43, 44, 45, 46, 47, 48, 49, 85],
-    360: [41, 42, 43, 44, 45, 46, 47],
-    380: [35, 36, 37, 38, 39, 40, 41],
-    390: [31, 32, 33, 34, 35, 36, 37, 38, 39],
-    400: [29, 30, 31, 32, 33, 34, 35, 36],
-    410: [26, 27, 28, 29, 30, 31],
-    430: [19, 20, 21, 22],
-    440: [13, 14, 15, 16, 17, 18, 19, 20],
-    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17],
-    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 359],
-    480: [0, 1, 2, 3, 4, 355, 356, 357, 358, 359],
-    490: [0, 355, 356, 357, 358, 359],
-    500: [355],
-  },
-  260: {
-    0: [77, 78, 84],
-    10: [77, 78, 84],
-    20: [76, 77, 78, 84],
-    30: [76, 77, 84],
-    40: [75, 76, 77, 84],
-    50: [75, 76, 84],
-    60: [75, 76, 84],
-    70: [74, 75, 84],
-    80: [73, 74, 75, 84],
-    90: [73, 74, 84],
-    100: [72, 73, 74, 84],
-    110: [72, 73, 84],
-    120: [71, 72, 73, 84],
-    130: [70, 71, 72, 84],
-    140: [70, 71, 72, 84],
-    150: [69, 70, 71, 84],
-    160: [68, 69, 70],
-    170: [67, 68, 69, 70],
-    180: [67, 68, 69, 85],
-    190: [66, 67, 68],
-    200: [65, 66, 67, 85],
-    210: [64, 65, 66, 85],
-    220: [63, 64, 65, 66, 85],
-    230: [63, 64, 85],
-    240: [60, 61, 62, 63, 64, 85],
-    250: [60, 61, 62, 85],
-    260: [58, 59, 60, 61, 85],
-    270: [57, 58, 59, 60, 85],
-    280: [57, 58, 85],
-    290: [53, 54, 55, 56, 57, 85],
-    300: [52, 53, 54, 55, 56, 85],
-    310: [53, 85],
-    320: [48, 49, 50, 51, 52, 53, 85],
-    330: [46, 47, 48, 49, 50, 51, 85],
-    340: [45, 46, 47, 48, 85],
-    350: [42, 43, 44, 45, 46, 85],
-    360: [39, 40, 41, 42, 43, 44, 45, 85],
-    370: [36, 37, 38, 39, 40, 41, 42, 85],
-    380: [36, 37, 38, 85],
-    390: [32, 33, 34, 35, 85],
-    400: [27, 28, 29, 30, 31, 32, 33, 85],
-    410: [23, 24, 25, 26, 27, 28, 29, 30, 31, 85],
-    420: [20, 21, 22, 23, 24, 25, 26, 27, 85],
-    430: [18, 19, 20, 21, 22, 23, 85],
-    440: [16, 17, 85],
-    460: [85],
-    480: [85],
-    490: [85],
-  },
-  270: {
-    0: [77, 78, 83],
-    10: [76, 77, 83],
-    20: [76, 77, 83],
-    30: [75, 76, 83],
-    40: [75, 76, 83],
-    50: [74, 75, 84],
-    60: [74, 75, 84],
-    70: [73, 74, 84],
-    80: [72, 73, 74, 84],
-    90: [72, 73, 84],
-    100: [71, 72, 73, 84],
-    110: [71, 72, 84],
-    120: [70, 71, 72, 84],
-    130: [69, 70, 71, 84],
-    140: [68, 69, 70, 71, 84],
-    150: [68, 69, 84],
-    160: [67, 68, 69, 84],
-    170: [66, 67, 68, 84],
-    180: [65, 66, 67, 68, 84],
-    190: [65, 66, 84],
-    200: [63, 64, 65, 66, 84],
-    210: [63, 64, 65, 84],
-    220: [61, 62, 63, 64, 84],
-    230: [61, 62, 63, 84],
-    240: [59, 60, 61, 62, 84],
-    250: [58, 59, 60, 61],
-    260: [58, 59],
-    270: [55, 56, 57, 58, 59],
-    280: [54, 55, 56, 57],
-    290: [53, 54],
-    300: [50, 51, 52, 53, 54],
-    310: [49, 50, 51, 52, 53],
-    330: [44, 45, 46, 47, 48, 49, 85],
-    340: [42, 43, 44, 45, 46, 47],
-    350: [41, 42, 43, 44, 85],
-    360: [38, 39, 40, 41],
-    370: [34, 35, 36, 37, 38, 39, 40, 85],
-    380: [32, 33, 34, 35, 36, 37, 38],
-    390: [30, 31, 32, 33, 34, 85],
-    400: [85],
-    410: [23, 24, 25, 26, 27, 28, 85],
-    420: [19, 20, 21, 22, 23, 24, 25, 26, 85],
-    430: [15, 16, 17, 18, 19, 20, 21, 22, 23, 85],
-    440: [12, 13, 14, 15, 16, 17, 18, 19, 85],
-    450: [8, 9, 10, 11, 12, 13, 14, 15, 85],
-    460: [5, 6, 7, 8, 9, 10, 11, 85],
-    470: [1, 2, 3, 4, 5, 6, 7, 85],
-    480: [0, 1, 2, 3, 4, 85, 358, 359],
-    490: [0, 85, 357, 358, 359],
-  },
-  280: {
-    0: [76, 77, 83],
-    10: [75, 76, 83],
-    20: [75, 76, 83],
-    30: [74, 75, 83],
-    40: [74, 75, 83],
-    50: [73, 74, 83],
-    60: [73, 74, 83],
-    70: [72, 73, 83],
-    80: [72, 73, 83],
-    90: [71, 72, 83],
-    100: [70, 71, 72, 83],
-    110: [70, 71, 83],
-    120: [69, 70],
-    130: [68, 69, 70, 84],
-    140: [67, 68, 69, 84],
-    150: [67, 68, 84],
-    160: [66, 67, 68, 84],
-    170: [65, 66, 67, 84],
-    180: [64, 65, 66, 84],
-    190: [63, 64, 65, 84],
-    200: [62, 63, 64, 84],
-    210: [61, 62, 63, 64, 84],
-    220: [60, 61, 62, 84],
-    230: [59, 60, 61, 62, 84],
-    240: [59, 60, 84],
-    250: [56, 57, 58, 59, 84],
-    260: [55, 56, 57, 58, 84],
-    270: [54, 55, 56, 84],
-    280: [52, 53, 54, 55, 56, 84],
-    290: [51, 52, 53, 54, 84],
-    300: [49, 50, 51, 52, 84],
-    310: [47, 48, 49, 50, 51, 84],
-    320: [45, 46, 47, 48, 49, 84],
-    330: [45, 84],
-    340: [41, 42, 43, 44, 45, 84],
-    350: [38, 39, 40, 41, 42, 43, 84],
-    360: [37, 38, 39, 40, 84],
-    370: [35, 36, 84],
-    380: [31, 32, 33, 34, 35, 36],
-    390: [28, 29, 30, 31, 32, 33, 34],
-    400: [25, 26, 27, 28, 29, 30, 31],
-    410: [23, 24, 25, 26, 27],
-    430: [17, 18, 19],
-    440: [12, 13, 14, 15, 16, 17],
-    450: [8, 9, 10, 11, 12, 13, 14],
-    460: [4, 5, 6, 7, 8, 9, 10, 11],
-    470: [1, 2, 3, 4, 5, 6, 7, 8],
-    480: [0, 1, 2, 3, 4, 357, 358, 359],
-    490: [0, 357, 358, 359],
-    500: [357],
-  },
-  290: {
-    0: [75, 76, 82],
-    10: [74, 75, 76, 82],
-    20: [74, 75, 82],
-    30: [73, 74, 75, 82],
-    40: [73, 74, 83],
-    50: [72, 73, 74, 83],
-    60: [72, 73, 83],
-    70: [71, 72, 83],
-    80: [71, 72, 83],
-    90: [70, 71, 83],
-    100: [69, 70, 71, 83],
-    110: [68, 69, 70, 83],
-    120: [68, 69, 83],
-    130: [67, 68, 69, 83],
-    140: [66, 67, 68, 83],
-    150: [66, 67, 83],
-    160: [65, 66, 83],
-    170: [64, 65, 66, 83],
-    180: [63, 64, 65],
-    190: [62, 63, 64, 83],
-    200: [61, 62, 63],
-    210: [60, 61, 62],
-    220: [59, 60, 61],
-    230: [57, 58, 59, 60],
-    240: [56, 57, 58, 59, 84],
-    250: [55, 56, 57, 84],
-    260: [53, 54, 55, 56, 57, 84],
-    270: [53, 54, 55, 84],
-    280: [51, 52, 53, 54, 84],
-    290: [49, 50, 51, 52, 53, 84],
-    300: [48, 49, 50, 51, 84],
-    310: [46, 47, 48, 49, 84],
-    320: [43, 44, 45, 46, 47, 48, 84],
-    330: [42, 43, 44, 45, 46, 84],
-    340: [84],
-    350: [37, 38, 39, 40, 41, 84],
-    360: [34, 35, 36, 37, 38, 39, 40, 84],
-    370: [33, 34, 35, 36, 37, 84],
-    380: [84],
-    390: [27, 28, 29, 30, 31, 84],
-    400: [24, 25, 26, 27, 28, 29, 84],
-    410: [21, 22, 23, 24, 25, 26, 27, 84],
-    420: [18, 19, 20, 21, 22, 23, 24, 84],
-    430: [15, 16, 17, 18, 19, 20, 84],
-    440: [13, 14, 15, 16, 84],
-    450: [84],
-    460: [84],
-    470: [84],
-    480: [84],
-    490: [84],
-  },
-  300: {
-    0: [74, 75, 82],
-    10: [74, 75, 82],
-    20: [73, 74, 82],
-    30: [73, 74, 82],
-    40: [72, 73, 82],
-    50: [71, 72, 73, 82],
-    60: [71, 72, 82],
-    70: [70, 71, 72, 82],
-    80: [69, 70, 71, 82],
-    90: [69, 70],
-    100: [68, 69, 70],
-    110: [67, 68, 69, 83],
-    120: [67, 68, 83],
-    130: [66, 67, 68, 83],
-    140: [65, 66, 67, 83],
-    150: [64, 65, 66, 83],
-    160: [64, 65, 83],
-    170: [62, 63, 64, 65, 83],
-    180: [62, 63, 64, 83],
-    190: [60, 61, 62, 63, 83],
-    200: [60, 61, 62, 83],
-    210: [58, 59, 60, 61, 83],
-    220: [57, 58, 59, 60, 83],
-    230: [56, 57, 58, 83],
-    240: [55, 56, 57, 58, 83],
-    250: [54, 55, 56, 83],
-    260: [52, 53, 54, 55, 83],
-    270: [51, 52, 53, 54, 83],
-    280: [50, 51, 52, 83],
-    290: [48, 49, 50, 51],
-    300: [46, 47, 48, 49, 50],
-    310: [45, 46, 47],
-    320: [42, 43, 44, 45],
-    330: [40, 41, 42, 43, 44],
-    340: [38, 39, 40, 41, 42],
-    360: [34, 35, 36, 37],
-    370: [31, 32, 33, 34, 35, 36, 84],
-    380: [29, 30, 31, 32, 33, 34],
-    390: [27, 28, 29, 30, 84],
-    400: [84],
-    410: [21, 22, 23, 24, 84],
-    420: [17, 18, 19, 20, 21, 22, 84],
-    430: [14, 15, 16, 17, 18, 19, 20, 84],
-    440: [11, 12, 13, 14, 15, 16, 17, 84],
-    450: [8, 9, 10, 11, 12, 13, 14],
-    460: [5, 6, 7, 8, 9, 10, 11, 84],
-    470: [2, 3, 4, 5, 6, 7, 84],
-    480: [0, 1, 2, 3, 4, 84, 359],
-    490: [0, 1, 84, 359],
-  },
-  310: {
-    0: [74, 75, 81],
-    10: [73, 74, 81],
-    20: [73, 74, 81],
-    30: [72, 73, 81, 82],
-    40: [71, 72, 82],
-    50: [71, 72, 82],
-    60: [70, 71, 82],
-    70: [69, 70, 71, 82],
-    80: [69, 70, 82],
-    90: [68, 69, 82],
-    100: [67, 68, 69, 82],
-    110: [67, 68, 82],
-    120: [66, 67, 68, 82],
-    130: [65, 66, 82],
-    140: [64, 65, 66, 82],
-    150: [63, 64, 65],
-    160: [63, 64],
-    170: [61, 62, 63, 83],
-    180: [61, 62, 63, 83],
-    190: [60, 61, 83],
-    200: [58, 59, 60, 61, 83],
-    210: [58, 59, 83],
-    220: [56, 57, 58, 59, 83],
-    230: [55, 56, 57, 58, 83],
-    240: [54, 55, 56, 83],
-    250: [52, 53, 54, 55, 83],
-    260: [52, 53, 83],
-    270: [49, 50, 51, 52, 83],
-    280: [48, 49, 50, 51, 83],
-    290: [48, 49, 83],
-    300: [44, 45, 46, 47, 48, 83],
-    310: [43, 44, 45, 46, 47, 83],
-    320: [42, 43, 44, 83],
-    330: [39, 40, 41, 42, 83],
-    340: [37, 38, 39, 40, 41, 83],
-    350: [35, 36, 37, 38, 39, 83],
-    360: [34, 35, 36, 83],
-    370: [31, 32, 33, 83],
-    380: [27, 28, 29, 30, 31, 32, 83],
-    390: [25, 26, 27, 28, 29, 30],
-    400: [23, 24, 25, 26, 27, 83],
-    410: [21, 22, 23, 24],
-    420: [83],
-    440: [12, 13, 14, 15],
-    450: [8, 9, 10, 11, 12, 13],
-    460: [5, 6, 7, 8, 9, 10],
-    470: [2, 3, 4, 5, 6, 7],
-    480: [0, 1, 2, 3, 4, 359],
-    490: [0, 1, 359],
-  },
-  320: {
-    0: [73, 74, 81],
-    10: [72, 73, 81],
-    20: [72, 73, 81],
-    30: [71, 72, 81],
-    40: [70, 71, 72, 81],
-    50: [70, 71, 81],
-    60: [69, 70, 81],
-    70: [68, 69, 70, 81],
-    80: [68, 69, 82],
-    90: [67, 68, 69, 82],
-    100: [66, 67, 68, 82],
-    110: [66, 67, 82],
-    120: [65, 66, 82],
-    130: [64, 65, 66, 82],
-    140: [63, 64, 65, 82],
-    150: [62, 63, 64, 82],
-    160: [61, 62, 63, 82],
-    170: [61, 62, 82],
-    180: [59, 60, 61, 62, 82],
-    190: [59, 60, 82],
-    200: [57, 58, 59, 60, 82],
-    210: [56, 57, 58, 59, 82],
-    220: [55, 56, 57, 82],
-    230: [54, 55, 56, 57],
-    240: [54, 55],
-    250: [51, 52, 53, 54],
-    260: [50, 51, 52, 53],
-    270: [49, 50],
-    280: [47, 48, 49, 50, 83],
-    290: [45, 46, 47, 48, 49, 83],
-    300: [83],
-    310: [42, 43, 44, 45, 83],
-    320: [40, 41, 42, 43, 44, 83],
-    330: [39, 40, 41, 83],
-    340: [37, 38, 83],
-    350: [34, 35, 36, 37, 38, 83],
-    360: [31, 32, 33, 34, 35, 36, 83],
-    370: [30, 31, 32, 33, 83],
-    380: [83],
-    390: [25, 26, 27, 28, 83],
-    400: [22, 23, 24, 25, 26, 83],
-    410: [19, 20, 21, 22, 23, 24, 83],
-    420: [16, 17, 18, 19, 20, 21, 83],
-    430: [14, 15, 16, 17, 18, 19, 83],
-    440: [12, 13, 14, 15, 83],
-    450: [10, 11, 12, 83],
-    460: [83],
-    470: [83],
-    480: [83],
-    490: [83],
-  },
-  330: {
-    0: [72, 73, 80],
-    10: [72, 73, 80],
-    20: [71, 72, 80],
-    30: [70, 71, 72, 81],
-    40: [70, 71, 81],
-    50: [69, 70, 81],
-    60: [68, 69, 70, 81],
-    70: [68, 69, 81],
-    80: [67, 68, 81],
-    90: [66, 67, 68, 81],
-    100: [66, 67, 81],
-    110: [65, 66, 81],
-    120: [64, 65, 81],
-    130: [63, 64, 65],
-    140: [62, 63, 64, 82],
-    150: [61, 62, 63, 82],
-    160: [60, 61, 62, 82],
-    170: [60, 61, 82],
-    180: [58, 59, 60, 82],
-    190: [57, 58, 59, 60, 82],
-    200: [56, 57, 58, 82],
-    210: [55, 56, 57, 58, 82],
-    220: [55, 56, 82],
-    230: [53, 54, 55, 82],
-    240: [52, 53, 54, 82],
-    250: [51, 52, 82],
-    260: [48, 49, 50, 51, 82],
-    270: [47, 48, 49, 50, 82],
-    280: [46, 47, 82],
-    290: [44, 45, 46, 47],
-    300: [43, 44, 45, 46, 82],
-    310: [43],
-    320: [39, 40, 41, 42, 82],
-    330: [37, 38, 39, 40, 41],
-    340: [35, 36, 37, 38, 39],
-    360: [31, 32, 33, 34],
-    370: [28, 29, 30, 31, 32, 33],
-    380: [26, 27, 28, 29, 30],
-    390: [25, 26, 27, 28],
-    400: [83],
-    410: [20, 21],
-    420: [16, 17, 18, 19, 20, 83],
-    430: [13, 14, 15, 16, 17, 18],
-    440: [10, 11, 12, 13, 14, 15, 16, 83],
-    450: [8, 9, 10, 11, 12, 13, 83],
-    460: [5, 6, 7, 8, 9, 10, 83],
-    470: [3, 4, 5, 6, 7, 8, 83],
-    480: [0, 1, 2, 3, 4, 5, 83],
-    490: [0, 1, 2, 83],
-    500: [83],
-  },
-  340: {
-    0: [72, 73, 80],
-    10: [71, 72, 80],
-    20: [70, 71, 80],
-    30: [70, 71, 80],
-    40: [69, 70, 80],
-    50: [68, 69, 80],
-    60: [68, 69, 80, 81],
-    70: [67, 68, 81],
-    80: [66, 67, 81],
-    90: [65, 66, 67, 81],
-    100: [65, 66, 81],
-    110: [64, 65, 81],
-    120: [63, 64, 65, 81],
-    130: [62, 63, 64, 81],
-    140: [62, 63, 81],
-    150: [60, 61, 62, 81],
-    160: [60, 61, 81],
-    170: [58, 59, 60, 81],
-    180: [58, 59, 81],
-    190: [56, 57, 58],
-    200: [56, 57],
-    210: [54, 55, 56],
-    220: [53, 54, 55, 82],
-    230: [52, 53, 54, 82],
-    240: [50, 51, 52, 53, 82],
-    250: [49, 50, 51, 52, 82],
-    260: [48, 49, 82],
-    270: [46, 47, 48, 49, 82],
-    280: [45, 46, 47, 48, 82],
-    290: [44, 45, 82],
-    300: [41, 42, 43, 44, 82],
-    310: [40, 41, 42, 43, 82],
-    320: [39, 40, 82],
-    330: [36, 37, 38, 39, 82],
-    340: [34, 35, 36, 37, 38, 82],
-    350: [32, 33, 34, 35, 36, 82],
-    360: [31, 32, 33, 82],
-    370: [28, 29, 30, 82],
-    380: [25, 26, 27, 28, 29, 82],
-    390: [23, 24, 25, 26, 27, 82],
-    400: [21, 22, 23, 24, 25, 82],
-    410: [19, 20, 21, 22, 82],
-    420: [17, 18, 19, 82],
-    440: [12],
-    450: [9, 10, 11],
-    460: [6, 7, 8, 9],
-    470: [3, 4, 5, 6, 7],
-    480: [0, 1, 2, 3, 4],
-    490: [0, 1, 2],
-  },
-  350: {
-    0: [71, 72, 79],
-    10: [70, 71, 79],
-    20: [70, 71, 79, 80],
-    30: [69, 70, 80],
-    40: [68, 69, 80],
-    50: [68, 69, 80],
-    60: [67, 68, 80],
-    70: [66, 67, 80],
-    80: [65, 66, 67, 80],
-    90: [65, 66, 80],
-    100: [64, 65, 80],
-    110: [63, 64, 80],
-    120: [62, 63, 64],
-    130: [61, 62, 63, 81],
-    140: [60, 61, 62, 81],
-    150: [59, 60, 61, 81],
-    160: [59, 60, 81],
-    170: [57, 58, 59, 81],
-    180: [56, 57, 58, 59, 81],
-    190: [56, 57, 81],
-    200: [54, 55, 56, 81],
-    210: [54, 55, 81],
-    220: [52, 53, 54, 81],
-    230: [51, 52, 53, 81],
-    240: [50, 51, 81],
-    250: [48, 49, 50, 51, 81],
-    260: [47, 48, 49],
-    270: [45, 46, 47],
-    280: [43, 44, 45, 46, 47],
-    290: [42, 43, 44, 45],
-    300: [41, 42],
-    310: [39, 40, 41, 42],
-    320: [37, 38, 39, 40, 82],
-    330: [36, 37, 38, 82],
-    340: [34, 35, 82],
-    350: [31, 32, 33, 34, 35, 82],
-    360: [29, 30, 31, 32, 33, 82],
-    370: [28, 29, 30, 31, 82],
-    380: [27, 82],
-    390: [23, 24, 25, 82],
-    400: [20, 21, 22, 23, 24, 82],
-    410: [18, 19, 20, 21, 22, 82],
-    420: [15, 16, 17, 18, 19, 20, 82],
-    430: [13, 14, 15, 16, 17, 82],
-    440: [11, 12, 13, 14, 15, 82],
-    450: [9, 10, 11, 12, 82],
-    460: [7, 8, 9, 82],
-    470: [5, 6, 82],
-    480: [3, 82],
-  },
-  360: {
-    0: [70, 71, 78, 79],
-    10: [70, 71, 79],
-    20: [69, 70, 79],
-    30: [68, 69, 79],
-    40: [68, 69, 79],
-    50: [67, 68, 79],
-    60: [66, 67, 80],
-    70: [65, 66, 67, 80],
-    80: [65, 66, 80],
-    90: [64, 65, 80],
-    100: [63, 64, 80],
-    110: [62, 63, 64, 80],
-    120: [61, 62, 63, 80],
-    130: [61, 62, 80],
-    140: [59, 60, 61, 80],
-    150: [59, 60, 80],
-    160: [57, 58, 59],
-    170: [57, 58],
-    180: [55, 56, 57, 81],
-    190: [55, 56, 57, 81],
-    200: [53, 54, 55, 81],
-    210: [52, 53, 54, 81],
-    220: [51, 52, 53, 81],
-    230: [50, 51, 52, 81],
-    240: [49, 50, 51, 81],
-    250: [47, 48, 49, 81],
-    260: [46, 47, 48, 81],
-    270: [45, 46, 47, 81],
-    280: [43, 44, 45, 81],
-    290: [41, 42, 43, 44, 81],
-    300: [40, 41, 42, 43, 81],
-    310: [39, 81],
-    320: [36, 37, 38, 39, 81],
-    330: [34, 35, 36, 37, 38, 81],
-    340: [33, 34, 35, 36, 81],
-    360: [29, 30, 31],
-    370: [26, 27, 28, 29, 30],
-    380: [24, 25, 26, 27, 28],
-    390: [23, 24, 25, 26],
-    400: [22, 23],
-    420: [16, 17, 18, 82],
-    430: [13, 14, 15, 16, 82],
-    440: [10, 11, 12, 13, 14, 15, 82],
-    450: [8, 9, 10, 11, 12, 82],
-    460: [6, 7, 8, 9, 10, 82],
-    470: [3, 4, 5, 6, 7, 8, 82],
-    480: [1, 2, 3, 4, 5],
-    490: [1, 2, 3],
-    500: [1],
-  },
-  370: {
-    0: [70, 71, 78],
-    10: [69, 70, 78],
-    20: [68, 69, 78, 79],
-    30: [68, 69, 79],
-    40: [67, 68, 79],
-    50: [66, 67, 79],
-    60: [65, 66, 67, 79],
-    70: [65, 66, 79],
-    80: [64, 65, 79],
-    90: [63, 64, 79],
-    100: [62, 63, 64, 80],
-    110: [61, 62, 63, 80],
-    120: [61, 62, 80],
-    130: [60, 61, 80],
-    140: [59, 60, 80],
-    150: [58, 59, 80],
-    160: [57, 58, 80],
-    170: [56, 57, 58, 80],
-    180: [55, 56, 80],
-    190: [53, 54, 55, 56, 80],
-    200: [53, 54, 80],
-    210: [51, 52, 53, 80],
-    220: [50, 51, 52, 80],
-    230: [49, 50],
-    240: [47, 48, 49, 50],
-    250: [47, 48, 49],
-    260: [45, 46, 47, 81],
-    270: [43, 44, 45, 46, 81],
-    280: [42, 43, 44, 45, 81],
-    290: [41, 42, 81],
-    300: [39, 40, 41, 42, 81],
-    310: [37, 38, 39, 40, 81],
-    320: [37, 38, 81],
-    330: [34, 35, 36, 81],
-    340: [32, 33, 34, 35, 81],
-    350: [30, 31, 32, 33, 81],
-    360: [29, 30, 31, 81],
-    370: [27, 81],
-    380: [24, 25, 26, 27, 81],
-    390: [21, 22, 23, 24, 25, 81],
-    400: [19, 20, 21, 22, 23, 81],
-    410: [18, 19, 20, 21, 81],
-    420: [16, 17, 18, 19],
-    430: [15, 16, 81],
-    450: [81],
-    460: [7, 8],
-    470: [4, 5, 6],
-    480: [2, 3, 4],
-    490: [1, 2],
-  },
-  380: {
-    0: [69, 70, 77, 78],
-    10: [69, 70, 78],
-    20: [68, 69, 78],
-    30: [67, 68, 78],
-    40: [66, 67, 78],
-    50: [65, 66, 67, 78],
-    60: [65, 66, 79],
-    70: [64, 65, 79],
-    80: [63, 64, 79],
-    90: [62, 63, 64, 79],
-    100: [61, 62, 63, 79],
-    110: [61, 62, 79],
-    120: [60, 61, 79],
-    130: [59, 60, 79],
-    140: [58, 59, 60, 79],
-    150: [57, 58, 80],
-    160: [56, 57, 58, 80],
-    170: [55, 56, 80],
-    180: [54, 55, 56, 80],
-    190: [53, 54, 80],
-    200: [52, 53, 54, 80],
-    210: [51, 52, 80],
-    220: [49, 50, 51, 80],
-    230: [48, 49, 50, 80],
-    240: [47, 48, 80],
-    250: [45, 46, 47, 48, 80],
-    260: [45, 46, 80],
-    270: [43, 44, 80],
-    280: [41, 42, 43, 44],
-    290: [40, 41, 42, 80],
-    300: [38, 39],
-    310: [36, 37, 38, 39],
-    320: [35, 36, 37, 38],
-    330: [34, 35, 36],
-    340: [32, 33, 81],
-    350: [29, 30, 31, 32],
-    360: [27, 28, 29, 30, 31, 81],
-    370: [26, 27, 28, 29, 81],
-    380: [25, 26, 81],
-    390: [81],
-    400: [19, 20, 21, 22, 81],
-    410: [17, 18, 19, 20, 81],
-    420: [15, 16, 17, 18, 19, 81],
-    430: [13, 14, 15, 16, 17, 81],
-    440: [11, 12, 13, 14, 81],
-    450: [9, 10, 11, 12, 81],
-    460: [7, 8, 9, 10, 81],
-    470: [5, 6, 7, 81],
-    480: [3, 4, 5, 81],
-    490: [2, 3],
-  },
-  390: {
-    0: [69, 70, 77],
-    10: [68, 69, 77],
-    20: [67, 68, 77, 78],
-    30: [66, 67, 68, 78],
-    40: [66, 67, 78],
-    50: [65, 66, 78],
-    60: [64, 65, 78],
-    70: [63, 64, 65, 78],
-    80: [63, 64, 78],
-    90: [62, 63, 78, 79],
-    100: [61, 62, 79],
-    110: [60, 61, 79],
-    120: [59, 60, 79],
-    130: [58, 59, 60, 79],
-    140: [57, 58, 59, 79],
-    150: [56, 57, 58, 79],
-    160: [55, 56, 57, 79],
-    170: [55, 56, 79],
-    180: [53, 54, 55, 79],
-    190: [52, 53, 54, 79],
-    200: [51, 52, 53],
-    210: [50, 51, 52, 80],
-    220: [49, 50],
-    230: [47, 48, 49, 80],
-    240: [46, 47, 48, 80],
-    250: [45, 46, 80],
-    260: [43, 44, 45, 46, 80],
-    270: [42, 43, 44, 80],
-    280: [40, 41, 42, 80],
-    290: [39, 40, 41, 80],
-    300: [38, 39, 40, 80],
-    310: [37, 38, 80],
-    320: [34, 35, 36, 80],
-    330: [32, 33, 34, 35, 80],
-    340: [31, 32, 33, 34, 80],
-    350: [30, 31, 80],
-    360: [27, 28, 29],
-    370: [25, 26, 27, 28, 80],
-    380: [23, 24, 25, 26],
-    390: [21, 22, 23, 24],
-    400: [20, 21, 22],
-    410: [19],
-    420: [16],
-    430: [13, 14, 15, 81],
-    440: [11, 12, 13, 14],
-    450: [8, 9, 10, 11, 12, 81],
-    460: [6, 7, 8, 9, 10],
-    470: [4, 5, 6, 7, 8, 81],
-    480: [2, 3, 4, 5, 6, 81],
-    490: [2, 3, 4],
-    500: [2],
-  },
-  400: {
-    0: [68, 69, 76, 77],
-    10: [68, 69, 76, 77],
-    20: [67, 68, 77],
-    30: [66, 67, 77],
-    40: [65, 66, 77],
-    50: [64, 65, 77, 78],
-    60: [63, 64, 65, 78],
-    70: [63, 64, 78],
-    80: [62, 63, 78],
-    90: [61, 62, 78],
-    100: [60, 61, 62, 78],
-    110: [59, 60, 61, 78],
-    120: [58, 59, 60, 78],
-    130: [57, 58, 59, 78],
-    140: [56, 57, 58, 79],
-    150: [56, 57, 79],
-    160: [54, 55, 56, 79],
-    170: [53, 54, 55, 79],
-    180: [52, 53, 54, 79],
-    190: [51, 52, 53, 79],
-    200: [51, 52, 79],
-    210: [49, 50, 51, 79],
-    220: [48, 49, 50, 79],
-    230: [47, 48, 79],
-    240: [45, 46, 47, 79],
-    250: [44, 45, 46],
-    260: [43, 44],
-    270: [41, 42, 43, 44],
-    280: [40, 41, 42],
-    290: [38, 39, 40, 80],
-    300: [36, 37, 38, 39, 80],
-    310: [35, 36, 37, 38, 80],
-    320: [34, 35, 36, 80],
-    330: [32, 33, 34, 80],
-    340: [30, 31, 32, 33, 80],
-    350: [28, 29, 30, 31, 80],
-    360: [27, 28, 29, 80],
-    370: [26, 27, 80],
-    380: [23, 24, 25, 80],
-    390: [21, 22, 23, 24, 80],
-    400: [19, 20, 21, 22, 80],
-    410: [17, 18, 19, 20, 80],
-    420: [15, 16, 17, 18, 80],
-    430: [14, 15, 16, 80],
-    440: [12, 13, 14, 80],
-    450: [80],
-    460: [80],
-    480: [3, 4],
-    490: [2],
-  },
-  410: {
-    0: [68, 69, 75, 76],
-    10: [67, 68, 76],
-    20: [66, 67, 76, 77],
-    30: [65, 66, 67, 77],
-    40: [64, 65, 66, 77],
-    50: [64, 65, 77],
-    60: [63, 64, 77],
-    70: [62, 63, 77],
-    80: [61, 62, 77],
-    90: [60, 61, 62, 78],
-    100: [59, 60, 61, 78],
-    110: [59, 60, 78],
-    120: [58, 59, 78],
-    130: [57, 58, 78],
-    140: [56, 57, 78],
-    150: [55, 56, 78],
-    160: [54, 55, 78],
-    170: [53, 54],
-    180: [52, 53],
-    190: [50, 51, 52, 79],
-    200: [49, 50, 51, 79],
-    210: [49, 50, 79],
-    220: [47, 48, 49, 79],
-    230: [46, 47, 48, 79],
-    240: [45, 46, 79],
-    250: [43, 44, 45, 79],
-    260: [42, 43, 44, 79],
-    270: [41, 42, 79],
-    280: [39, 40, 41, 79],
-    290: [38, 39, 40, 79],
-    300: [37, 38, 79],
-    310: [34, 35, 36, 37, 79],
-    320: [33, 34, 35, 36],
-    330: [32, 33, 34],
-    340: [31],
-    350: [28, 29, 30],
-    360: [26, 27, 28, 29],
-    370: [24, 25, 26, 27, 80],
-    380: [23, 24, 25],
-    390: [22, 23, 80],
-    400: [20],
-    410: [17, 18, 19, 80],
-    420: [15, 16, 17, 18, 80],
-    430: [13, 14, 15, 16, 80],
-    440: [11, 12, 13, 14, 80],
-    450: [9, 10, 11, 12, 80],
-    460: [7, 8, 9, 10, 80],
-    470: [5, 6, 7, 8, 80],
-    480: [3, 4, 5, 6, 80],
-    490: [3, 4, 80],
-  },
-  420: {
-    0: [67, 68, 69, 75, 76],
-    10: [67, 68, 75, 76],
-    20: [66, 67, 76],
-    30: [65, 66, 76],
-    40: [64, 65, 76],
-    50: [63, 64, 76, 77],
-    60: [62, 63, 64, 77],
-    70: [61, 62, 63, 77],
-    80: [61, 62, 77],
-    90: [60, 61, 77],
-    100: [59, 60, 77],
-    110: [58, 59, 77],
-    120: [57, 58, 77],
-    130: [56, 57, 58, 78],
-    140: [55, 56, 57, 78],
-    150: [54, 55, 56, 78],
-    160: [53, 54, 55, 78],
-    170: [52, 53, 54, 78],
-    180: [51, 52, 53, 78],
-    190: [50, 51, 52, 78],
-    200: [49, 50, 78],
-    210: [48, 49, 50, 78],
-    220: [47, 48],
-    230: [45, 46, 47],
-    240: [44, 45, 46],
-    250: [43, 44, 79],
-    260: [41, 42, 43, 79],
-    270: [40, 41, 42, 79],
-    280: [39, 40, 79],
-    290: [37, 38, 39, 79],
-    300: [36, 37, 38, 79],
-    310: [35, 36, 79],
-    320: [32, 33, 34, 79],
-    330: [31, 32, 33, 79],
-    340: [29, 30, 31, 32, 79],
-    350: [28, 29, 30, 79],
-    360: [79],
-    370: [24, 25, 26, 79],
-    380: [22, 23, 24, 25, 79],
-    390: [20, 21, 22, 23, 79],
-    400: [19, 20, 21, 22],
-    410: [17, 18, 19],
-    420: [16, 17],
-    440: [11, 12, 13],
-    450: [9, 10, 11],
-    460: [7, 8, 9, 10, 80],
-    470: [5, 6, 7, 8],
-    480: [3, 4, 5, 6, 80],
-    490: [3, 4],
-  },
-  430: {
-    0: [67, 68, 74, 75],
-    10: [66, 67, 75],
-    20: [65, 66, 75],
-    30: [64, 65, 66, 75, 76],
-    40: [63, 64, 65, 76],
-    50: [63, 64, 76],
-    60: [62, 63, 76],
-    70: [61, 62, 76],
-    80: [60, 61, 76, 77],
-    90: [59, 60, 61, 77],
-    100: [58, 59, 60, 77],
-    110: [57, 58, 59, 77],
-    120: [56, 57, 58, 77],
-    130: [55, 56, 57, 77],
-    140: [54, 55, 56, 77],
-    150: [54, 55, 77],
-    160: [52, 53, 54],
-    170: [51, 52, 53, 78],
-    180: [50, 51, 52, 78],
-    190: [49, 50, 51, 78],
-    200: [49, 50, 78],
-    210: [47, 48, 78],
-    220: [46, 47, 48, 78],
-    230: [45, 46, 78],
-    240: [43, 44, 45, 78],
-    250: [42, 43, 44, 78],
-    260: [41, 42, 78],
-    270: [39, 40, 41],
-    280: [38, 39, 40, 78],
-    290: [37, 38],
-    300: [35, 36, 37],
-    310: [33, 34, 35, 36, 79],
-    320: [32, 33, 34],
-    330: [31, 79],
-    340: [29, 30, 31, 79],
-    350: [27, 28, 29, 30, 79],
-    360: [26, 27, 28, 79],
-    370: [24, 25, 26, 79],
-    380: [79],
-    390: [20, 21, 22, 79],
-    400: [18, 19, 20, 21, 79],
-    410: [16, 17, 18, 19, 79],
-    420: [15, 16, 17, 18, 79],
-    430: [13, 14, 15, 16, 79],
-    440: [11, 12, 13, 14, 79],
-    450: [10, 11, 12],
-    460: [9, 10, 79],
-    480: [79],
-  },
-  440: {
-    0: [67, 68, 73, 74],
-    10: [66, 67, 74, 75],
-    20: [65, 66, 74, 75],
-    30: [64, 65, 75],
-    40: [63, 64, 75],
-    50: [62, 63, 75, 76],
-    60: [61, 62, 76],
-    70: [60, 61, 62, 76],
-    80: [59, 60, 61, 76],
-    90: [59, 60, 76],
-    100: [58, 59, 76],
-    110: [57, 58, 76],
-    120: [56, 57, 77],
-    130: [55, 56, 77],
-    140: [54, 55, 77],
-    150: [53, 54, 77],
-    160: [52, 53, 77],
-    170: [51, 52, 77],
-    180: [50, 51, 77],
-    190: [49, 50, 77],
-    200: [47, 48, 49, 77],
-    210: [47, 48],
-    220: [45, 46, 47, 78],
-    230: [44, 45, 46, 78],
-    240: [43, 44, 78],
-    250: [41, 42, 43, 78],
-    260: [40, 41, 42, 78],
-    270: [39, 40, 78],
-    280: [37, 38, 39, 78],
-    290: [36, 37, 38, 78],
-    300: [35, 36, 37, 78],
-    310: [33, 34, 35, 78],
-    320: [31, 32, 33, 34, 78],
-    330: [30, 31, 32],
-    340: [29, 30, 31, 78],
-    350: [27, 28],
-    360: [25, 26, 27],
-    370: [23, 24, 25, 26],
-    380: [22, 23, 24, 25],
-    390: [21, 22, 23, 79],
-    400: [20, 79],
-    410: [17, 79],
-    420: [15, 16, 17, 79],
-    430: [13, 14, 15, 79],
-    440: [11, 12, 13, 14, 79],
-    450: [9, 10, 11, 12, 79],
-    460: [7, 8, 9, 10, 79],
-    470: [6, 7, 8, 9, 79],
-    480: [4, 5, 6, 7, 79],
-    490: [4, 5, 79],
-  },
-  450: {
-    0: [66, 67, 68, 73, 74],
-    10: [65, 66, 67, 73, 74],
-    20: [64, 65, 66, 74],
-    30: [64, 65, 74, 75],
-    40: [63, 64, 75],
-    50: [62, 63, 75],
-    60: [61, 62, 75],
-    70: [60, 61, 75],
-    80: [59, 60, 75, 76],
-    90: [58, 59, 76],
-    100: [57, 58, 59, 76],
-    110: [56, 57, 58, 76],
-    120: [55, 56, 57, 76],
-    130: [55, 56, 76],
-    140: [53, 54, 55, 76],
-    150: [53, 54, 77],
-    160: [51, 52, 53, 77],
-    170: [51, 52, 77],
-    180: [49, 50, 77],
-    190: [48, 49, 50, 77],
-    200: [47, 48, 77],
-    210: [46, 47, 48, 77],
-    220: [45, 46, 77],
-    230: [43, 44, 45, 77],
-    240: [42, 43, 44],
-    250: [41, 42, 43, 77],
-    260: [39, 40, 41],
-    270: [38, 39, 40],
-    280: [38, 39, 78],
-    290: [35, 36, 37, 78],
-    300: [34, 35, 36, 78],
-    310: [33, 34, 35, 78],
-    320: [32, 33, 78],
-    330: [29, 30, 31, 32, 78],
-    340: [28, 29, 30, 78],
-    350: [27, 28, 29, 78],
-    360: [26, 27, 78],
-    370: [24, 78],
-    380: [21, 22, 23, 24, 78],
-    390: [20, 21, 22],
-    400: [18, 19, 20, 21, 78],
-    410: [17, 18, 19],
-    420: [15, 16, 17, 78],
-    430: [14, 15],
-    450: [10],
-    460: [8, 9],
-    470: [6, 7, 8],
-    480: [4, 5, 6, 79],
-    490: [4, 5, 79],
-  },
-  460: {
-    0: [66, 67, 68, 72, 73],
-    10: [65, 66, 73, 74],
-    20: [64, 65, 73, 74],
-    30: [63, 64, 74],
-    40: [62, 63, 74],
-    50: [61, 62, 74, 75],
-    60: [60, 61, 62, 75],
-    70: [59, 60, 61, 75],
-    80: [58, 59, 60, 75],
-    90: [58, 59, 75],
-    100: [57, 58, 75],
-    110: [56, 57, 75, 76],
-    120: [55, 56, 76],
-    130: [54, 55, 76],
-    140: [53, 54, 76],
-    150: [52, 53, 76],
-    160: [51, 52, 76],
-    170: [50, 51, 76],
-    180: [49, 50],
-    190: [47, 48, 49, 76],
-    200: [47, 48, 77],
-    210: [45, 46, 77],
-    220: [44, 45, 46, 77],
-    230: [43, 44, 45, 77],
-    240: [42, 43, 77],
-    250: [41, 42, 77],
-    260: [40, 41, 77],
-    270: [38, 39, 77],
-    280: [36, 37, 38, 39, 77],
-    290: [36, 37, 77],
-    300: [34, 35, 77],
-    310: [32, 33, 34, 77],
-    320: [31, 32, 33],
-    330: [30, 31],
-    340: [28, 29, 78],
-    350: [26, 27, 28, 78],
-    360: [25, 26, 27, 78],
-    370: [23, 24, 25, 26, 78],
-    380: [22, 23, 24, 78],
-    390: [78],
-    400: [18, 19, 20, 78],
-    410: [16, 17, 18, 19, 78],
-    420: [15, 16, 17, 78],
-    430: [13, 14, 15, 16, 78],
-    440: [11, 12, 13, 14, 78],
-    450: [10, 11, 12, 78],
-    460: [8, 9, 10, 11, 78],
-    470: [7, 8, 9, 78],
-    480: [5, 6, 7],
-    490: [5, 78],
-  },
-  470: {
-    0: [66, 67, 68, 70, 71, 72],
-    10: [65, 66, 72, 73],
-    20: [64, 65, 73],
-    30: [63, 64, 73, 74],
-    40: [62, 63, 73, 74],
-    50: [61, 62, 74],
-    60: [60, 61, 74],
-    70: [59, 60, 74],
-    80: [58, 59, 74, 75],
-    90: [57, 58, 75],
-    100: [56, 57, 58, 75],
-    110: [55, 56, 57, 75],
-    120: [54, 55, 75],
-    130: [53, 54, 55, 75],
-    140: [52, 53, 54, 76],
-    150: [51, 52, 53, 76],
-    160: [50, 51, 52, 76],
-    170: [49, 50, 51, 76],
-    180: [48, 49, 50, 76],
-    190: [47, 48, 49, 76],
-    200: [46, 47, 76],
-    210: [45, 46, 47, 76],
-    220: [44, 45, 76],
-    230: [42, 43, 44],
-    240: [42, 43],
-    250: [40, 41, 77],
-    260: [39, 40, 41, 77],
-    270: [38, 39, 77],
-    280: [36, 37, 77],
-    290: [35, 36, 37, 77],
-    300: [34, 35, 77],
-    310: [32, 33, 34, 77],
-    320: [30, 31, 32, 77],
-    330: [29, 30, 31, 77],
-    340: [28, 29, 30, 77],
-    350: [27, 28, 77],
-    360: [25, 26, 77],
-    370: [23, 24, 25, 77],
-    380: [21, 22, 23, 24],
-    390: [20, 21, 22],
-    400: [19, 20, 21],
-    410: [18, 19],
-    420: [78],
-    430: [13, 14],
-    440: [11, 12, 13, 78],
-    450: [10, 11, 12, 78],
-    460: [8, 9, 10, 11, 78],
-    470: [6, 7, 8, 9, 78],
-    480: [5, 6, 7, 78],
-    490: [5, 6, 78],
-    500: [78],
-  },
-  480: {
-    0: [65, 66, 67, 68, 69, 70, 71, 72],
-    10: [64, 65, 66, 71, 72],
-    20: [63, 64, 65, 72, 73],
-    30: [62, 63, 64, 72, 73],
-    40: [61, 62, 63, 73],
-    50: [60, 61, 62, 73, 74],
-    60: [60, 61, 73, 74],
-    70: [59, 60, 74],
-    80: [58, 59, 74],
-    90: [57, 58, 74],
-    100: [56, 57, 74, 75],
-    110: [55, 56, 75],
-    120: [54, 55, 75],
-    130: [53, 54, 75],
-    140: [52, 53, 75],
-    150: [51, 52, 75],
-    160: [50, 51, 75],
-    170: [49, 50, 75],
-    180: [48, 49, 75, 76],
-    190: [47, 48, 76],
-    200: [46, 47, 76],
-    210: [44, 45, 46, 76],
-    220: [43, 44, 45, 76],
-    230: [42, 43, 76],
-    240: [41, 42, 43, 76],
-    250: [40, 41, 76],
-    260: [38, 39, 40, 76],
-    270: [37, 38, 39, 76],
-    280: [36, 37, 38],
-    290: [34, 35],
-    300: [33, 34, 35, 77],
-    310: [32, 33, 34],
-    320: [31, 32, 77],
-    330: [29, 30, 77],
-    340: [27, 28, 29, 77],
-    350: [26, 27, 28, 77],
-    360: [25, 26, 27, 77],
-    370: [24, 25, 77],
-    380: [22, 77],
-    390: [20, 21, 77],
-    400: [18, 19, 20, 77],
-    410: [16, 17, 18, 19, 77],
-    420: [15, 16, 17],
-    430: [14, 15, 16, 77],
-    440: [12, 13, 14],
-    450: [11, 12],
-    480: [6],
-    490: [5, 78],
-  },
-  490: {
-    0: [65, 66, 67, 68, 69, 70, 71],
-    10: [64, 65, 66, 70, 71, 72],
-    20: [63, 64, 65, 71, 72],
-    30: [62, 63, 64, 72],
-    40: [61, 62, 72, 73],
-    50: [60, 61, 73],
-    60: [59, 60, 73],
-    70: [58, 59, 73],
-    80: [57, 58, 73, 74],
-    90: [56, 57, 74],
-    100: [55, 56, 57, 74],
-    110: [54, 55, 56, 74],
-    120: [53, 54, 55, 74],
-    130: [52, 53, 54, 74],
-    140: [52, 53, 75],
-    150: [50, 51, 52, 75],
-    160: [50, 51, 75],
-    170: [48, 49, 50, 75],
-    180: [47, 48, 49, 75],
-    190: [46, 47, 48, 75],
-    200: [45, 46, 47, 75],
-    210: [44, 45, 46, 75],
-    220: [43, 44],
-    230: [42, 43, 76],
-    240: [40, 41, 42, 76],
-    250: [39, 40, 41, 76],
-    260: [38, 39, 40, 76],
-    270: [37, 38, 76],
-    280: [35, 36, 37, 76],
-    290: [34, 35, 36, 76],
-    300: [34, 76],
-    310: [31, 32, 33, 76],
-    320: [30, 31, 32, 76],
-    330: [29, 30, 31, 76],
-    340: [28, 29],
-    350: [26, 27],
-    360: [24, 25, 26, 77],
-    370: [23, 24, 25],
-    380: [21, 22, 23, 77],
-    390: [20, 21, 22, 77],
-    400: [20, 77],
-    410: [17, 18, 77],
-    420: [15, 16, 17, 77],
-    430: [13, 14, 15, 77],
-    440: [12, 13, 14, 77],
-    450: [10, 11, 12, 13, 77],
-    460: [9, 10, 11, 77],
-    470: [7, 8, 9, 10, 77],
-    480: [6, 7, 8, 77],
-    490: [6],
-  },
-  500: {
-    0: [65, 66, 67, 68, 69, 70],
-    10: [64, 65, 66, 67, 68, 69, 70, 71],
-    20: [63, 64, 65, 70, 71],
-    30: [62, 63, 71, 72],
-    40: [61, 62, 71, 72],
-    50: [60, 61, 72],
-    60: [59, 60, 72, 73],
-    70: [58, 59, 73],
-    80: [57, 58, 73],
-    90: [56, 57, 73],
-    100: [55, 56, 73],
-    110: [54, 55, 74],
-    120: [53, 54, 74],
-    130: [52, 53, 74],
-    140: [51, 52, 74],
-    150: [50, 51, 74],
-    160: [49, 50, 74],
-    170: [48, 49, 74, 75],
-    180: [47, 48, 75],
-    190: [46, 47, 75],
-    200: [45, 46, 75],
-    210: [44, 45, 75],
-    220: [43, 44, 75],
-    230: [41, 42, 43, 75],
-    240: [40, 41, 42, 75],
-    250: [39, 40, 75],
-    260: [37, 38, 39, 75],
-    270: [37, 38, 76],
-    280: [35, 36, 37],
-    290: [34, 35, 76],
-    300: [32, 33, 34, 76],
-    310: [32, 33, 76],
-    320: [30, 31, 76],
-    330: [28, 29, 30, 76],
-    340: [27, 28, 29, 76],
-    350: [26, 27, 28, 76],
-    360: [25, 26, 76],
-    370: [23, 24, 76],
-    380: [21, 22, 23, 76],
-    390: [19, 20, 21, 22, 76],
-    400: [18, 19, 20],
-    410: [17, 18, 19],
-    420: [16, 17],
-    430: [15, 77],
-    450: [11, 12, 77],
-    460: [9, 10],
-    470: [7, 8, 9, 77],
-    480: [6, 7, 8, 77],
-    490: [6],
-  },
-  510: {
-    0: [65, 66, 67, 68, 69],
-    10: [64, 65, 66, 67, 68, 69, 70],
-    20: [63, 64, 65, 69, 70, 71],
-    30: [62, 63, 70, 71],
-    40: [61, 62, 71, 72],
-    50: [59, 60, 61, 71, 72],
-    60: [58, 59, 60, 72],
-    70: [57, 58, 59, 72],
-    80: [57, 58, 72, 73],
-    90: [56, 57, 73],
-    100: [55, 56, 73],
-    110: [54, 55, 73],
-    120: [53, 54, 73],
-    130: [52, 53, 73],
-    140: [51, 52, 74],
-    150: [50, 51, 74],
-    160: [49, 50, 74],
-    170: [47, 48, 49, 74],
-    180: [47, 48, 74],
-    190: [45, 46, 47, 74],
-    200: [45, 46, 74],
-    210: [43, 44, 45, 75],
-    220: [42, 43, 44, 75],
-    230: [41, 42, 43, 75],
-    240: [40, 41, 75],
-    250: [39, 40, 75],
-    260: [38, 39, 75],
-    270: [36, 37, 75],
-    280: [35, 36, 37, 75],
-    290: [34, 35],
-    300: [32, 33, 75],
-    310: [31, 32, 33],
-    320: [30, 31],
-    330: [29, 30, 76],
-    340: [27, 28],
-    350: [25, 26, 27, 76],
-    360: [24, 25, 26, 76],
-    370: [23, 24, 25, 76],
-    380: [22, 23, 76],
-    390: [20, 76],
-    400: [18, 19, 76],
-    410: [16, 17, 18, 76],
-    420: [15, 16, 17, 76],
-    430: [14, 15, 16, 76],
-    440: [12, 13, 14, 76],
-    450: [11, 12, 13],
-    460: [10, 11, 76],
-    470: [9, 10],
-    480: [7, 8],
-  },
-  520: {
-    0: [65, 66, 67, 68],
-    10: [64, 65, 66, 67, 68, 69],
-    20: [63, 64, 65, 68, 69, 70],
-    30: [61, 62, 63, 69, 70, 71],
-    40: [60, 61, 62, 70, 71],
-    50: [59, 60, 61, 71],
-    60: [58, 59, 60, 71, 72],
-    70: [57, 58, 59, 71, 72],
-    80: [56, 57, 58, 72],
-    90: [55, 56, 57, 72],
-    100: [54, 55, 72, 73],
-    110: [53, 54, 55, 73],
-    120: [52, 53, 54, 73],
-    130: [51, 52, 53, 73],
-    140: [50, 51, 52, 73],
-    150: [49, 50, 51, 73],
-    160: [48, 49, 73],
-    170: [47, 48, 49, 74],
-    180: [46, 47, 74],
-    190: [45, 46, 47, 74],
-    200: [44, 45, 74],
-    210: [43, 44, 74],
-    220: [42, 43, 74],
-    230: [41, 42, 74],
-    240: [40, 41, 74],
-    250: [38, 39],
-    260: [37, 38, 39, 75],
-    270: [36, 37, 75],
-    280: [34, 35, 36, 75],
-    290: [33, 34, 35, 75],
-    300: [32, 33, 34, 75],
-    310: [31, 32, 75],
-    320: [29, 30, 31, 75],
-    330: [28, 29, 30, 75],
-    340: [27, 28, 29, 75],
-    350: [26, 27],
-    360: [24, 25, 75],
-    370: [22, 23, 24],
-    380: [21, 22, 23],
-    390: [20, 21, 22, 76],
-    400: [19, 20],
-    410: [18, 19, 76],
-    420: [76],
-    430: [14, 15, 76],
-    440: [12, 13, 14, 76],
-    450: [11, 12, 13, 76],
-    460: [9, 10, 11, 76],
-    470: [8, 9, 10, 76],
-    480: [6, 7, 8, 9, 76],
-    490: [6, 7, 76],
-    500: [6],
-  },
-  530: {
-    0: [66, 67],
-    10: [64, 65, 66, 67, 68, 69],
-    20: [62, 63, 64, 65, 66, 67, 68, 69],
-    30: [61, 62, 63, 68, 69, 70],
-    40: [60, 61, 62, 69, 70],
-    50: [59, 60, 70, 71],
-    60: [58, 59, 70, 71],
-    70: [57, 58, 71],
-    80: [56, 57, 71, 72],
-    90: [55, 56, 71, 72],
-    100: [54, 55, 72],
-    110: [53, 54, 72],
-    120: [52, 53, 72],
-    130: [51, 52, 72, 73],
-    140: [50, 51, 73],
-    150: [49, 50, 73],
-    160: [48, 49, 73],
-    170: [47, 48, 73],
-    180: [46, 47, 73],
-    190: [45, 46, 73],
-    200: [44, 45, 74],
-    210: [42, 43, 44, 74],
-    220: [42, 43, 74],
-    230: [40, 41, 42, 74],
-    240: [39, 40, 74],
-    250: [38, 39, 40, 74],
-    260: [37, 38, 74],
-    270: [35, 36, 37, 74],
-    280: [35, 36],
-    290: [33, 34, 35, 74],
-    300: [32, 33, 75],
-    310: [30, 31, 32, 75],
-    320: [30, 31, 75],
-    330: [28, 29, 75],
-    340: [26, 27, 28, 75],
-    350: [25, 26, 27, 75],
-    360: [24, 25, 26, 75],
-    370: [23, 24, 75],
-    380: [21, 22, 75],
-    390: [19, 20, 21, 75],
-    400: [18, 19, 20, 75],
-    410: [17, 18, 19],
-    420: [15, 16, 17, 75],
-    430: [14, 15, 16],
-    440: [13, 14, 15],
-    450: [12, 13],
-    460: [76],
-    470: [9],
-    480: [7, 8, 76],
-    490: [6, 7],
-  },
-  540: {
-    10: [64, 65, 66, 67, 68],
-    20: [62, 63, 64, 65, 66, 67, 68],
-    30: [61, 62, 63, 64, 67, 68, 69],
-    40: [60, 61, 62, 68, 69, 70],
-    50: [59, 60, 69, 70],
-    60: [58, 59, 70],
-    70: [57, 58, 70, 71],
-    80: [56, 57, 71],
-    90: [55, 56, 71],
-    100: [54, 55, 71],
-    110: [53, 54, 71, 72],
-    120: [52, 53, 72],
-    130: [51, 52, 72],
-    140: [50, 51, 72],
-    150: [49, 50, 72],
-    160: [48, 49, 72, 73],
-    170: [46, 47, 48, 73],
-    180: [46, 47, 73],
-    190: [44, 45, 46, 73],
-    200: [43, 44, 45, 73],
-    210: [43, 44, 73],
-    220: [41, 42, 73],
-    230: [40, 41, 73],
-    240: [39, 40],
-    250: [38, 39, 74],
-    260: [37, 38, 74],
-    270: [35, 36, 37, 74],
-    280: [34, 35, 74],
-    290: [33, 34, 35, 74],
-    300: [32, 33, 74],
-    310: [30, 31, 74],
-    320: [29, 30, 31, 74],
-    330: [28, 29, 30, 74],
-    340: [27, 28],
-    350: [25, 26],
-    360: [24, 25, 75],
-    370: [22, 23, 24, 75],
-    380: [21, 22, 23, 75],
-    390: [20, 21, 22, 75],
-    400: [19, 20, 75],
-    410: [17, 18, 75],
-    420: [15, 16, 17, 75],
-    430: [14, 15, 16, 75],
-    440: [12, 13, 14, 15, 75],
-    450: [11, 12, 13, 75],
-    460: [10, 11, 12, 75],
-    470: [9, 10, 11, 75],
-    480: [7, 8, 9],
-    490: [7, 8],
-  },
-  550: {
-    10: [65, 66],
-    20: [63, 64, 65, 66, 67, 68],
-    30: [61, 62, 63, 64, 65, 66, 67, 68],
-    40: [60, 61, 62, 67, 68, 69],
-    50: [59, 60, 68, 69],
-    60: [58, 59, 69, 70],
-    70: [56, 57, 58, 70],
-    80: [56, 57, 70],
-    90: [55, 56, 70, 71],
-    100: [53, 54, 55, 71],
-    110: [52, 53, 54, 71],
-    120: [52, 53, 71],
-    130: [50, 51, 52, 71, 72],
-    140: [49, 50, 51, 72],
-    150: [48, 49, 72],
-    160: [47, 48, 49, 72],
-    170: [46, 47, 72],
-    180: [45, 46, 47, 72],
-    190: [44, 45, 72, 73],
-    200: [43, 44, 45, 73],
-    210: [42, 43, 73],
-    220: [41, 42, 73],
-    230: [40, 41, 73],
-    240: [39, 40, 73],
-    250: [38, 39, 73],
-    260: [36, 37, 73],
-    270: [35, 36, 37],
-    280: [34, 35, 36, 74],
-    290: [33, 34, 74],
-    300: [31, 32, 33, 74],
-    310: [30, 31, 32, 74],
-    320: [29, 30, 31, 74],
-    330: [27, 28, 29, 74],
-    340: [26, 27, 28, 74],
-    350: [25, 26, 27, 74],
-    360: [24, 25, 26, 74],
-    370: [23, 24, 74],
-    380: [21, 22],
-    390: [20, 21],
-    400: [18, 19, 20],
-    410: [17, 18, 19],
-    420: [16, 17, 18, 75],
-    430: [15, 16],
-    440: [75],
-    450: [12, 75],
-    460: [10, 11, 75],
-    470: [9, 10, 75],
-    480: [7, 8, 9, 75],
-    490: [7, 8, 75],
-  },
-  560: {
-    20: [63, 64, 65, 66, 67],
-    30: [61, 62, 63, 64, 65, 66, 67, 68],
-    40: [60, 61, 62, 66, 67, 68],
-    50: [59, 60, 68, 69],
-    60: [57, 58, 59, 68, 69],
-    70: [56, 57, 58, 69, 70],
-    80: [55, 56, 57, 69, 70],
-    90: [54, 55, 56, 70],
-    100: [53, 54, 55, 70],
-    110: [52, 53, 54, 70, 71],
-    120: [51, 52, 53, 71],
-    130: [50, 51, 71],
-    140: [49, 50, 71],
-    150: [48, 49, 71],
-    160: [47, 48, 71, 72],
-    170: [46, 47, 72],
-    180: [45, 46, 72],
-    190: [44, 45, 72],
-    200: [43, 44, 72],
-    210: [42, 43, 72],
-    220: [41, 42, 72],
-    230: [40, 41],
-    240: [38, 39, 40, 73],
-    250: [37, 38, 39, 73],
-    260: [36, 37, 38, 73],
-    270: [35, 36, 73],
-    280: [34, 35, 73],
-    290: [33, 34, 73],
-    300: [31, 32, 33, 73],
-    310: [30, 31, 73],
-    320: [29, 30],
-    330: [28, 29],
-    340: [27, 28, 74],
-    350: [25, 26, 74],
-    360: [24, 25, 74],
-    370: [22, 23, 24, 74],
-    380: [22, 23, 74],
-    390: [21, 74],
-    400: [18, 19, 74],
-    410: [17, 18, 74],
-    420: [16, 17, 74],
-    430: [14, 15, 16, 74],
-    440: [13, 14, 15],
-    450: [12, 13, 14],
-    460: [11, 12],
-    470: [10, 11],
-    480: [9, 75],
-    490: [75],
-  },
-  570: {
-    20: [63, 64, 65],
-    30: [61, 62, 63, 64, 65, 66, 67],
-    40: [60, 61, 62, 63, 64, 65, 66, 67, 68],
-    50: [59, 60, 61, 66, 67, 68],
-    60: [57, 58, 59, 67, 68, 69],
-    70: [56, 57, 58, 68, 69],
-    80: [55, 56, 57, 69],
-    90: [54, 55, 69, 70],
-    100: [53, 54, 69, 70],
-    110: [52, 53, 70],
-    120: [51, 52, 70],
-    130: [50, 51, 70, 71],
-    140: [49, 50, 71],
-    150: [48, 49, 71],
-    160: [47, 48, 71],
-    170: [46, 47, 71],
-    180: [45, 46, 71],
-    190: [44, 45, 71, 72],
-    200: [43, 44, 72],
-    210: [42, 43, 72],
-    220: [41, 42, 72],
-    230: [39, 40, 72],
-    240: [38, 39, 40, 72],
-    250: [37, 38, 39, 72],
-    260: [36, 37],
-    270: [35, 36, 73],
-    280: [34, 35, 73],
-    290: [32, 33, 34, 73],
-    300: [31, 32, 33, 73],
-    310: [31, 32, 73],
-    320: [29, 30, 73],
-    330: [27, 28, 29, 73],
-    340: [26, 27, 28, 73],
-    350: [25, 26, 27, 73],
-    360: [24, 25],
-    370: [22, 23],
-    380: [21, 22, 23, 74],
-    390: [20, 21, 22, 74],
-    400: [19, 20, 74],
-    410: [18, 19, 74],
-    420: [17, 74],
-    430: [15, 74],
-    440: [13, 14, 74],
-    450: [12, 13, 74],
-    460: [10, 11, 12, 74],
-    470: [9, 10, 11, 74],
-    480: [8, 9, 10, 74],
-    490: [8, 9],
-  },
-  580: {
-    30: [62, 63, 64, 65, 66],
-    40: [60, 61, 62, 63, 64, 65, 66, 67],
-    50: [59, 60, 61, 65, 66, 67],
-    60: [57, 58, 59, 67, 68],
-    70: [56, 57, 58, 67, 68],
-    80: [55, 56, 68, 69],
-    90: [54, 55, 68, 69],
-    100: [53, 54, 69],
-    110: [52, 53, 69, 70],
-    120: [51, 52, 70],
-    130: [50, 51, 70],
-    140: [49, 50, 70],
-    150: [48, 49, 70],
-    160: [47, 48, 70, 71],
-    170: [46, 47, 71],
-    180: [45, 46, 71],
-    190: [43, 44, 45, 71],
-    200: [43, 44, 71],
-    210: [41, 42, 43, 71],
-    220: [40, 41],
-    230: [40, 41, 72],
-    240: [38, 39, 72],
-    250: [37, 38, 72],
-    260: [36, 37, 72],
-    270: [34, 35, 36, 72],
-    280: [33, 34, 35, 72],
-    290: [33, 34, 72],
-    300: [31, 32, 72],
-    310: [30, 31, 73],
-    320: [29, 30],
-    330: [28, 29, 73],
-    340: [26, 27, 73],
-    350: [25, 26, 73],
-    360: [24, 25, 73],
-    370: [23, 24, 73],
-    380: [22, 23, 73],
-    390: [20, 21, 73],
-    400: [18, 19, 20, 73],
-    410: [17, 18, 19],
-    420: [16, 17, 18],
-    430: [15, 16, 17],
-    440: [14, 15],
-    450: [13, 14, 74],
-    460: [12],
-    470: [10, 74],
-    480: [8, 9, 74],
-    490: [8],
-  },
-  590: {
-    30: [62, 63, 64],
-    40: [60, 61, 62, 63, 64, 65, 66],
-    50: [59, 60, 61, 62, 63, 64, 65, 66, 67],
-    60: [57, 58, 59, 60, 66, 67],
-    70: [56, 57, 58, 66, 67, 68],
-    80: [55, 56, 57, 67, 68],
-    90: [54, 55, 68],
-    100: [53, 54, 68, 69],
-    110: [52, 53, 68, 69],
-    120: [51, 52, 69],
-    130: [50, 51, 69],
-    140: [49, 50, 69, 70],
-    150: [48, 49, 70],
-    160: [46, 47, 48, 70],
-    170: [46, 47, 70],
-    180: [44, 45, 46, 70],
-    190: [43, 44, 71],
-    200: [42, 43, 44, 71],
-    210: [41, 42, 71],
-    220: [40, 41, 42, 71],
-    230: [39, 40, 71],
-    240: [38, 39, 71],
-    250: [37, 38],
-    260: [36, 37, 72],
-    270: [35, 36, 72],
-    280: [33, 34, 35, 72],
-    290: [32, 33, 72],
-    300: [31, 32, 33, 72],
-    310: [30, 31, 72],
-    320: [28, 29, 30, 72],
-    330: [27, 28, 29, 72],
-    340: [26, 27, 28, 72],
-    350: [26, 27, 73],
-    360: [24, 25],
-    370: [22, 23, 24, 73],
-    380: [21, 22, 23, 73],
-    390: [20, 21, 22, 73],
-    400: [19, 20, 73],
-    410: [19, 73],
-    420: [16, 17, 73],
-    430: [15, 16, 73],
-    440: [14, 15, 73],
-    450: [12, 13, 14],
-    460: [11, 12, 13, 73],
-    470: [10, 11, 12],
-    480: [9, 10],
-    490: [9],
-  },
-  600: {
-    40: [61, 62, 63, 64, 65],
-    50: [59, 60, 61, 62, 63, 64, 65, 66],
-    60: [57, 58, 59, 60, 64, 65, 66],
-    70: [56, 57, 58, 66, 67],
-    80: [55, 56, 57, 66, 67],
-    90: [54, 55, 67, 68],
-    100: [53, 54, 67, 68],
-    110: [52, 53, 68],
-    120: [50, 51, 52, 68, 69],
-    130: [50, 51, 69],
-    140: [48, 49, 50, 69],
-    150: [47, 48, 49, 69],
-    160: [46, 47, 48, 69, 70],
-    170: [45, 46, 47, 70],
-    180: [44, 45, 70],
-    190: [43, 44, 45, 70],
-    200: [42, 43, 70],
-    210: [41, 42, 70],
-    220: [40, 41, 71],
-    230: [39, 40, 71],
-    240: [38, 39, 71],
-    250: [37, 38, 71],
-    260: [36, 37, 71],
-    270: [34, 35, 71],
-    280: [33, 34, 35, 71],
-    290: [32, 33, 34],
-    300: [31, 32, 72],
-    310: [30, 31, 72],
-    320: [29, 30, 72],
-    330: [27, 28, 29, 72],
-    340: [26, 27, 72],
-    350: [25, 26, 72],
-    360: [24, 25, 72],
-    370: [23, 24, 72],
-    380: [21, 22, 23, 72],
-    390: [20, 21],
-    400: [19, 20],
-    410: [18, 19, 73],
-    420: [17, 18, 73],
-    430: [16, 17, 73],
-    440: [15, 73],
-    450: [13, 73],
-    460: [11, 12, 73],
-    470: [10, 11, 73],
-    480: [9, 10, 73],
-    490: [9, 73],
-  },
-  610: {
-    40: [61, 62, 63],
-    50: [59, 60, 61, 62, 63, 64, 65],
-    60: [57, 58, 59, 60, 61, 62, 63, 64, 65],
-    70: [56, 57, 58, 59, 64, 65, 66],
-    80: [55, 56, 57, 65, 66, 67],
-    90: [54, 55, 66, 67],
-    100: [53, 54, 67, 68],
-    110: [52, 53, 67, 68],
-    120: [50, 51, 52, 68],
-    130: [49, 50, 51, 68],
-    140: [48, 49, 50, 68, 69],
-    150: [47, 48, 49, 69],
-    160: [46, 47, 69],
-    170: [45, 46, 69],
-    180: [44, 45, 69, 70],
-    190: [43, 44, 70],
-    200: [42, 43, 70],
-    210: [41, 42, 70],
-    220: [40, 41, 70],
-    230: [39, 40, 70],
-    240: [38, 39, 70],
-    250: [36, 37, 38, 70, 71],
-    260: [35, 36, 37, 71],
-    270: [35, 36, 71],
-    280: [33, 34, 71],
-    290: [32, 33, 71],
-    300: [31, 32, 71],
-    310: [30, 31, 71],
-    320: [28, 29, 30],
-    330: [27, 28, 29, 71],
-    340: [27, 28, 72],
-    350: [25, 26, 72],
-    360: [24, 25, 72],
-    370: [23, 24, 72],
-    380: [22, 23, 72],
-    390: [21, 22, 72],
-    400: [20, 21, 72],
-    410: [18, 72],
-    420: [16, 17, 18, 72],
-    430: [15, 16, 17, 72],
-    440: [14, 15, 16],
-    450: [13, 14, 15],
-    460: [12, 13, 73],
-    470: [11, 12],
-    480: [10, 11, 73],
-    490: [73],
-  },
-  620: {
-    50: [59, 60, 61, 62, 63, 64],
-    60: [58, 59, 60, 61, 62, 63, 64, 65],
-    70: [56, 57, 58, 59, 63, 64, 65],
-    80: [55, 56, 57, 64, 65, 66],
-    90: [54, 55, 56, 65, 66],
-    100: [53, 54, 66, 67],
-    110: [51, 52, 53, 67],
-    120: [51, 52, 67],
-    130: [49, 50, 51, 67, 68],
-    140: [48, 49, 68],
-    150: [47, 48, 68],
-    160: [46, 47, 68, 69],
-    170: [45, 46, 69],
-    180: [44, 45, 69],
-    190: [43, 44, 69],
-    200: [42, 43, 69],
-    210: [41, 42, 69, 70],
-    220: [40, 41, 70],
-    230: [39, 40, 70],
-    240: [37, 38, 39, 70],
-    250: [37, 38, 70],
-    260: [35, 36, 37, 70],
-    270: [34, 35, 70],
-    280: [33, 34, 35],
-    290: [32, 33, 71],
-    300: [31, 32, 71],
-    310: [30, 31, 71],
-    320: [29, 30, 71],
-    330: [27, 28, 29, 71],
-    340: [26, 27, 71],
-    350: [25, 26, 27, 71],
-    360: [24, 25, 26],
-    370: [23, 24, 71],
-    380: [21, 22, 72],
-    390: [20, 21, 22],
-    400: [19, 20, 21, 72],
-    410: [18, 19, 20, 72],
-    420: [17, 18, 72],
-    430: [17, 72],
-    440: [14, 15, 72],
-    450: [13, 14, 72],
-    460: [12, 13, 72],
-    470: [11, 12, 72],
-    480: [10, 11],
-    490: [10, 72],
-  },
-  630: {
-    50: [61, 62],
-    60: [58, 59, 60, 61, 62, 63, 64],
-    70: [57, 58, 59, 60, 61, 62, 63, 64, 65],
-    80: [55, 56, 57, 58, 63, 64, 65],
-    90: [54, 55, 56, 64, 65, 66],
-    100: [53, 54, 65, 66],
-    110: [51, 52, 53, 66, 67],
-    120: [50, 51, 52, 66, 67],
-    130: [49, 50, 51, 67],
-    140: [48, 49, 50, 67, 68],
-    150: [47, 48, 68],
-    160: [46, 47, 68],
-    170: [45, 46, 68],
-    180: [44, 45, 68],
-    190: [43, 44, 68, 69],
-    200: [42, 43, 69],
-    210: [41, 42, 69],
-    220: [40, 41, 69],
-    230: [39, 40, 69],
-    240: [38, 39, 69, 70],
-    250: [36, 37, 38, 70],
-    260: [35, 36, 37, 70],
-    270: [35, 36, 70],
-    280: [33, 34, 70],
-    290: [32, 33, 70],
-    300: [31, 32, 70],
-    310: [30, 31],
-    320: [29, 30],
-    330: [28, 29, 71],
-    340: [27, 28, 71],
-    350: [25, 26, 71],
-    360: [24, 25, 71],
-    370: [23, 24, 71],
-    380: [22, 23, 71],
-    390: [21, 22, 71],
-    400: [19, 20],
-    410: [18, 19, 71],
-    420: [17, 18],
-    430: [16, 17],
-    440: [15, 16, 72],
-    450: [14, 15, 72],
-    460: [13, 14, 72],
-    470: [12, 72],
-    480: [10, 72],
-    490: [72],
-    500: [72],
-  },
-  640: {
-    60: [59, 60, 61, 62],
-    70: [57, 58, 59, 60, 61, 62, 63, 64],
-    80: [55, 56, 57, 58, 59, 61, 62, 63, 64],
-    90: [54, 55, 56, 63, 64, 65],
-    100: [53, 54, 64, 65],
-    110: [52, 53, 65, 66],
-    120: [50, 51, 52, 66],
-    130: [49, 50, 51, 66, 67],
-    140: [48, 49, 50, 66, 67],
-    150: [47, 48, 67],
-    160: [46, 47, 67],
-    170: [45, 46, 67, 68],
-    180: [44, 45, 68],
-    190: [43, 44, 68],
-    200: [42, 43, 68],
-    210: [41, 42, 68],
-    220: [40, 41, 69],
-    230: [39, 40, 69],
-    240: [37, 38, 39, 69],
-    250: [37, 38, 69],
-    260: [35, 36, 37, 69],
-    270: [34, 35, 69],
-    280: [33, 34, 70],
-    290: [32, 33, 70],
-    300: [31, 32, 70],
-    310: [30, 31, 70],
-    320: [29, 30, 70],
-    330: [27, 28, 29, 70],
-    340: [26, 27, 28, 70],
-    350: [25, 26, 27],
-    360: [25, 26],
-    370: [23, 24, 71],
-    380: [22, 23, 71],
-    390: [21, 22, 71],
-    400: [20, 21, 71],
-    410: [19, 20, 71],
-    420: [18, 19, 71],
-    430: [16, 71],
-    440: [15, 16, 71],
-    450: [14, 15, 71],
-    460: [12, 13, 14],
-    470: [11, 12, 13],
-    480: [10, 11, 12],
-    490: [10, 11, 72],
-  },
-  650: {
-    60: [60, 61],
-    70: [57, 58, 59, 60, 61, 62],
-    80: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
-    90: [54, 55, 56, 57, 62, 63, 64],
-    100: [53, 54, 55, 63, 64, 65],
-    110: [52, 53, 64, 65],
-    120: [51, 52, 65, 66],
-    130: [49, 50, 51, 65, 66],
-    140: [48, 49, 66],
-    150: [47, 48, 66, 67],
-    160: [46, 47, 67],
-    170: [45, 46, 67],
-    180: [44, 45, 67],
-    190: [43, 44, 67, 68],
-    200: [42, 43, 68],
-    210: [41, 42, 68],
-    220: [40, 41, 68],
-    230: [38, 39, 40, 68],
-    240: [38, 39, 68, 69],
-    250: [36, 37, 38, 69],
-    260: [35, 36, 69],
-    270: [34, 35, 36, 69],
-    280: [33, 34, 69],
-    290: [32, 33, 69],
-    300: [31, 32, 69],
-    310: [30, 31, 69],
-    320: [29, 30, 70],
-    330: [28, 29, 70],
-    340: [27, 28, 70],
-    350: [25, 26, 70],
-    360: [24, 25, 70],
-    370: [23, 24, 70],
-    380: [22, 23, 70],
-    390: [21, 22],
-    400: [20],
-    410: [18, 19, 20, 71],
-    420: [17, 18, 19],
-    430: [16, 17, 18, 71],
-    440: [15, 16, 17, 71],
-    450: [15, 71],
-    460: [14, 71],
-    470: [12, 71],
-    480: [10, 11, 71],
-    490: [10],
-  },
-  660: {
-    70: [58, 59, 60, 61],
-    80: [56, 57, 58, 59, 60, 61, 62, 63],
-    90: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
-    100: [53, 54, 55, 62, 63, 64],
-    110: [52, 53, 54, 63, 64],
-    120: [50, 51, 52, 64, 65],
-    130: [49, 50, 51, 65],
-    140: [48, 49, 50, 65, 66],
-    150: [47, 48, 65, 66],
-    160: [46, 47, 66],
-    170: [45, 46, 66, 67],
-    180: [44, 45, 66, 67],
-    190: [43, 44, 67],
-    200: [42, 43, 67],
-    210: [41, 42, 67, 68],
-    220: [40, 41, 68],
-    230: [39, 40, 68],
-    240: [37, 38, 39, 68],
-    250: [37, 38, 68],
-    260: [35, 36, 37, 68],
-    270: [34, 35, 68, 69],
-    280: [33, 34, 69],
-    290: [32, 33, 69],
-    300: [31, 32, 69],
-    310: [30, 31, 69],
-    320: [29, 30, 69],
-    330: [28, 29, 69],
-    340: [27, 28],
-    350: [26, 27, 70],
-    360: [25, 26, 70],
-    370: [23, 24, 70],
-    380: [22, 23, 70],
-    390: [21, 22, 70],
-    400: [20, 21, 70],
-    410: [19, 20],
-    420: [18, 19, 70],
-    430: [16, 17],
-    440: [15, 16, 70],
-    450: [14, 15, 71],
-    460: [13, 14],
-    470: [12, 13, 71],
-    480: [11, 12, 71],
-    490: [11],
-  },
-  670: {
-    80: [56, 57, 58, 59, 60, 61],
-    90: [55, 56, 57, 58, 59, 60, 61, 62, 63],
-    100: [53, 54, 55, 56, 61, 62, 63],
-    110: [52, 53, 54, 62, 63, 64],
-    120: [50, 51, 52, 53, 63, 64],
-    130: [49, 50, 51, 64, 65],
-    140: [48, 49, 50, 64, 65],
-    150: [47, 48, 49, 65],
-    160: [46, 47, 65, 66],
-    170: [45, 46, 66],
-    180: [44, 45, 66],
-    190: [43, 44, 66, 67],
-    200: [42, 43, 67],
-    210: [41, 42, 67],
-    220: [40, 41, 67],
-    230: [38, 39, 40, 67],
-    240: [38, 39, 67, 68],
-    250: [36, 37, 38, 68],
-    260: [35, 36, 68],
-    270: [35, 36, 68],
-    280: [33, 34, 35, 68],
-    290: [32, 33, 68],
-    300: [32, 68],
-    310: [30, 31, 69],
-    320: [29, 30, 69],
-    330: [28, 29, 69],
-    340: [27, 28, 69],
-    350: [25, 26, 69],
-    360: [24, 25, 26, 69],
-    370: [24, 25, 69],
-    380: [23, 24],
-    390: [21, 22],
-    400: [20, 21, 70],
-    410: [19, 20, 70],
-    420: [18, 19, 70],
-    430: [17, 18, 70],
-    440: [16, 17, 70],
-    450: [16, 70],
-    460: [13, 14, 70],
-    470: [12, 13, 70],
-    480: [11, 12],
-    490: [11],
-  },
-  680: {
-    80: [57, 58, 59, 60],
-    90: [55, 56, 57, 58, 59, 60, 61],
-    100: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
-    110: [52, 53, 54, 55, 61, 62, 63],
-    120: [51, 52, 53, 62, 63],
-    130: [49, 50, 51, 63, 64],
-    140: [48, 49, 50, 64, 65],
-    150: [47, 48, 49, 64, 65],
-    160: [46, 47, 48, 64, 65],
-    170: [45, 46, 65, 66],
-    180: [44, 45, 65, 66],
-    190: [43, 44, 66],
-    200: [42, 43, 66],
-    210: [41, 42, 66],
-    220: [40, 41, 66, 67],
-    230: [39, 40, 67],
-    240: [37, 38, 39, 67],
-    250: [37, 67],
-    260: [35, 36, 37, 67],
-    270: [34, 35, 36],
-    280: [34, 68],
-    290: [32, 33, 34, 68],
-    300: [31, 32, 68],
-    310: [30, 31, 68],
-    320: [29, 30, 68],
-    330: [28, 29],
-    340: [27, 28, 69],
-    350: [26, 27, 69],
-    360: [25, 26, 69],
-    370: [23, 24, 69],
-    380: [22, 23, 69],
-    390: [21, 22, 23, 69],
-    400: [21, 22, 69],
-    410: [20, 21, 69],
-    420: [18],
-    430: [17, 18],
-    440: [16, 17, 70],
-    450: [15, 16],
-    460: [14, 15, 70],
-    470: [13, 14, 70],
-    480: [12, 13, 70],
-    490: [12, 70],
-  },
-  690: {
-    90: [56, 57, 58, 59, 60],
-    100: [54, 55, 56, 57, 58, 59, 60, 61],
-    110: [52, 53, 54, 55, 56, 59, 60, 61, 62],
-    120: [51, 52, 53, 61, 62, 63],
-    130: [50, 51, 52, 62, 63],
-    140: [49, 50, 63, 64],
-    150: [47, 48, 49, 63, 64],
-    160: [46, 47, 48, 64],
-    170: [45, 46, 47, 64, 65],
-    180: [44, 45, 65],
-    190: [43, 44, 65],
-    200: [42, 43, 65, 66],
-    210: [41, 42, 66],
-    220: [40, 41, 66],
-    230: [39, 40, 66],
-    240: [38, 39, 66, 67],
-    250: [36, 37, 38, 67],
-    260: [35, 36, 37, 67],
-    270: [35, 36, 67],
-    280: [33, 34, 35, 67],
-    290: [32, 33, 67],
-    300: [32, 33, 67, 68],
-    310: [30, 31, 68],
-    320: [29, 30, 68],
-    330: [28, 29, 68],
-    340: [27, 28, 68],
-    350: [26, 27, 68],
-    360: [25, 26, 68],
-    370: [24, 25],
-    380: [23, 24, 69],
-    390: [21, 22, 23, 69],
-    400: [20, 21, 69],
-    410: [19, 20, 21, 69],
-    420: [18, 19, 20, 69],
-    430: [18, 19, 69],
-    440: [17, 18, 69],
-    450: [15, 69],
-    460: [14, 15],
-    470: [13, 14],
-    480: [12, 13, 70],
-    490: [12, 70],
-  },
-  700: {
-    90: [58],
-    100: [54, 55, 56, 57, 58, 59, 60],
-    110: [53, 54, 55, 56, 57, 58, 59, 60, 61],
-    120: [51, 52, 53, 54, 55, 59, 60, 61, 62],
-    130: [50, 51, 52, 61, 62],
-    140: [49, 50, 51, 62, 63],
-    150: [48, 49, 63, 64],
-    160: [46, 47, 48, 63, 64],
-    170: [45, 46, 47, 64],
-    180: [44, 45, 46, 64, 65],
-    190: [43, 44, 64, 65],
-    200: [42, 43, 65],
-    210: [41, 42, 65],
-    220: [40, 41, 65, 66],
-    230: [39, 40, 66],
-    240: [38, 39, 66],
-    250: [37, 38, 66],
-    260: [36, 37, 66],
-    270: [34, 35, 36, 66, 67],
-    280: [34, 35, 67],
-    290: [32, 33, 34, 67],
-    300: [31, 32, 67],
-    310: [30, 31, 67],
-    320: [29, 30, 31, 67],
-    330: [28, 29, 67],
-    340: [27, 28, 68],
-    350: [26, 27, 68],
-    360: [25, 26, 68],
-    370: [24, 25, 68],
-    380: [23, 24, 68],
-    390: [22, 23, 68],
-    400: [21, 22, 68],
-    410: [20, 21],
-    420: [18, 19],
-    430: [17, 18, 69],
-    440: [16, 17, 18, 69],
-    450: [15, 16, 17, 69],
-    460: [15, 16, 69],
-    470: [14, 15, 69],
-    480: [13, 69],
-  },
-  710: {
-    100: [55, 56, 57, 58],
-    110: [53, 54, 55, 56, 57, 58, 59, 60],
-    120: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
-    130: [50, 51, 52, 53, 60, 61, 62],
-    140: [49, 50, 51, 61, 62],
-    150: [48, 49, 50, 62, 63],
-    160: [47, 48, 62, 63],
-    170: [45, 46, 47, 63],
-    180: [44, 45, 46, 63, 64],
-    190: [43, 44, 45, 64],
-    200: [42, 43, 64, 65],
-    210: [41, 42, 64, 65],
-    220: [40, 41, 65],
-    230: [39, 40, 65],
-    240: [38, 39, 65],
-    250: [37, 38, 65, 66],
-    260: [36, 37, 66],
-    270: [35, 36, 66],
-    280: [33, 34, 35, 66],
-    290: [33, 66],
-    300: [32, 33],
-    310: [30, 31, 32, 67],
-    320: [29, 30, 67],
-    330: [29, 30, 67],
-    340: [27, 28, 29, 67],
-    350: [26, 27, 67],
-    360: [25, 26],
-    370: [24, 25, 68],
-    380: [23, 24, 68],
-    390: [22, 23, 68],
-    400: [21, 22, 68],
-    410: [20, 21, 68],
-    420: [19, 20, 68],
-    430: [18, 19],
-    440: [17, 18, 68],
-    450: [15, 16],
-    460: [14, 15],
-    470: [13, 14, 15, 69],
-    480: [13, 14, 69],
-    490: [13],
-  },
-  720: {
-    110: [54, 55, 56, 57, 58, 59],
-    120: [52, 53, 54, 55, 56, 57, 58, 59, 60],
-    130: [51, 52, 53, 54, 58, 59, 60, 61],
-    140: [49, 50, 51, 52, 60, 61],
-    150: [48, 49, 50, 61, 62],
-    160: [47, 48, 49, 61, 62, 63],
-    170: [46, 47, 62, 63],
-    180: [44, 45, 46, 63],
-    190: [43, 44, 45, 63, 64],
-    200: [42, 43, 44, 63, 64],
-    210: [41, 42, 64],
-    220: [40, 41, 64],
-    230: [39, 40, 64, 65],
-    240: [38, 39, 65],
-    250: [37, 38, 65],
-    260: [36, 37, 65],
-    270: [35, 36, 65, 66],
-    280: [34, 35, 66],
-    290: [33, 34, 66],
-    300: [31, 32, 33, 66],
-    310: [31, 32, 66],
-    320: [30, 31, 66],
-    330: [28, 29, 30, 67],
-    340: [27, 28, 67],
-    350: [27, 28, 67],
-    360: [25, 26, 27, 67],
-    370: [24, 25, 67],
-    380: [23, 24, 67],
-    390: [22, 23, 67],
-    400: [22],
-    410: [20, 21, 68],
-    420: [19, 20, 68],
-    430: [18, 19, 68],
-    440: [17, 18, 68],
-    450: [16, 17, 68],
-    460: [15, 16, 68],
-    470: [15, 68],
-    480: [13, 14, 68],
-    490: [68],
-  },
-  730: {
-    110: [56],
-    120: [53, 54, 55, 56, 57, 58, 59],
-    130: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
-    140: [49, 50, 51, 52, 53, 58, 59, 60, 61],
-    150: [48, 49, 50, 60, 61],
-    160: [47, 48, 49, 61, 62],
-    170: [46, 47, 48, 61, 62],
-    180: [45, 46, 62, 63],
-    190: [43, 44, 45, 62, 63],
-    200: [42, 43, 44, 63],
-    210: [41, 42, 43, 63, 64],
-    220: [40, 41, 63, 64],
-    230: [39, 40, 64],
-    240: [38, 39, 64],
-    250: [37, 38, 64],
-    260: [36, 37, 65],
-    270: [35, 36, 65],
-    280: [34, 35, 65],
-    290: [33, 34, 65],
-    300: [32, 33, 65, 66],
-    310: [31, 32, 66],
-    320: [30, 31, 66],
-    330: [29, 30, 66],
-    340: [28, 29, 66],
-    350: [26, 27, 28, 66],
-    360: [26, 66, 67],
-    370: [25, 26, 67],
-    380: [24, 25, 67],
-    390: [22, 23, 24, 67],
-    400: [21, 22, 67],
-    410: [20, 21, 67],
-    420: [20, 21],
-    430: [19, 20, 67],
-    440: [17, 18, 68],
-    450: [16, 17],
-    460: [15, 16, 68],
-    470: [14, 15, 68],
-    480: [13, 14, 68],
-    490: [13, 68],
-  },
-  740: {
-    120: [54, 55, 56, 57],
-    130: [52, 53, 54, 55, 56, 57, 58, 59],
-    140: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
-    150: [48, 49, 50, 51, 58, 59, 60],
-    160: [47, 48, 49, 59, 60, 61],
-    170: [46, 47, 48, 60, 61, 62],
-    180: [45, 46, 61, 62],
-    190: [44, 45, 61, 62],
-    200: [42, 43, 44, 62, 63],
-    210: [41, 42, 43, 62, 63],
-    220: [40, 41, 42, 63],
-    230: [39, 40, 63],
-    240: [38, 39, 40, 63, 64],
-    250: [37, 38, 64],
-    260: [36, 37, 64],
-    270: [35, 36, 64, 65],
-    280: [34, 35, 64, 65],
-    290: [33, 34, 65],
-    300: [32, 33, 65],
-    310: [31, 32, 65],
-    320: [30, 31, 65],
-    330: [29, 30, 66],
-    340: [28, 29, 66],
-    350: [27, 28, 66],
-    360: [26, 27, 66],
-    370: [25, 26, 66],
-    380: [24, 25, 66],
-    390: [23, 24],
-    400: [22, 23, 67],
-    410: [21, 22, 67],
-    420: [19, 20, 67],
-    430: [19, 67],
-    440: [18, 19, 67],
-    450: [17, 18, 67],
-    460: [16, 17, 67],
-    470: [16, 67],
-    480: [13, 14, 68],
-    490: [13],
-  },
-  750: {
-    130: [53, 54, 55, 56, 57],
-    140: [51, 52, 53, 54, 55, 56, 57, 58, 59],
-    150: [49, 50, 51, 52, 53, 54, 56, 57, 58, 59],
-    160: [48, 49, 50, 58, 59, 60],
-    170: [46, 47, 48, 49, 59, 60, 61],
-    180: [45, 46, 47, 60, 61],
-    190: [44, 45, 61, 62],
-    200: [43, 44, 61, 62],
-    210: [42, 43, 62],
-    220: [41, 42, 62, 63],
-    230: [39, 40, 41, 63],
-    240: [38, 39, 63],
-    250: [37, 38, 39, 63, 64],
-    260: [36, 37, 63, 64],
-    270: [35, 36, 37, 64],
-    280: [34, 35, 64],
-    290: [33, 34, 64],
-    300: [32, 33],
-    310: [31, 32, 65],
-    320: [30, 31, 65],
-    330: [29, 30, 65],
-    340: [28, 29, 65],
-    350: [27, 28, 65],
-    360: [26, 27, 66],
-    370: [25, 26, 66],
-    380: [25, 66],
-    390: [23, 24, 66],
-    400: [22, 23, 66],
-    410: [21, 22],
-    420: [20, 21, 66],
-    430: [20, 67],
-    440: [18, 19, 67],
-    450: [17, 67],
-    460: [16, 17, 67],
-    470: [15, 16, 67],
-    480: [14, 15, 67],
-    490: [14],
-  },
-  760: {
-    130: [55],
-    140: [51, 52, 53, 54, 55, 56, 57],
-    150: [50, 51, 52, 53, 54, 55, 56, 57, 58],
-    160: [48, 49, 50, 51, 52, 56, 57, 58, 59],
-    170: [47, 48, 49, 58, 59, 60],
-    180: [45, 46, 47, 48, 59, 60, 61],
-    190: [44, 45, 46, 60, 61],
-    200: [43, 44, 45, 60, 61],
-    210: [42, 43, 61, 62],
-    220: [41, 42, 61, 62],
-    230: [40, 41, 62],
-    240: [39, 40, 62],
-    250: [38, 39, 62, 63],
-    260: [36, 37, 38, 63],
-    270: [36, 63],
-    280: [34, 35, 36, 63, 64],
-    290: [33, 34, 35, 64],
-    300: [32, 33, 34, 64],
-    310: [31, 32, 33, 64],
-    320: [30, 31, 64],
-    330: [29, 30, 31, 64, 65],
-    340: [28, 29, 65],
-    350: [27, 28, 65],
-    360: [27, 65],
-    370: [25, 26, 65],
-    380: [24, 25, 65],
-    390: [23, 24, 65, 66],
-    400: [23, 66],
-    410: [21, 22, 66],
-    420: [20, 21, 66],
-    430: [19, 20, 66],
-    440: [18, 19, 66],
-    450: [18, 66],
-    460: [17, 66],
-    470: [15, 16, 67],
-    480: [14, 15],
-    490: [14],
-  },
-  770: {
-    140: [53, 54, 55],
-    150: [50, 51, 52, 53, 54, 55, 56, 57],
-    160: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
-    170: [47, 48, 49, 50, 51, 56, 57, 58, 59],
-    180: [46, 47, 48, 58, 59, 60],
-    190: [44, 45, 46, 47, 59, 60],
-    200: [43, 44, 45, 60, 61],
-    210: [42, 43, 44, 60, 61],
-    220: [41, 42, 43, 61],
-    230: [40, 41, 61, 62],
-    240: [39, 40, 62],
-    250: [38, 39, 62],
-    260: [37, 38, 62, 63],
-    270: [36, 37, 62, 63],
-    280: [35, 36, 63],
-    290: [33, 34, 35, 63],
-    300: [33, 34, 63, 64],
-    310: [32, 33, 64],
-    320: [30, 31, 32, 64],
-    330: [29, 30, 31, 64],
-    340: [29, 30, 64],
-    350: [27, 28, 29, 64, 65],
-    360: [26, 27, 28, 65],
-    370: [26, 65],
-    380: [25, 26, 65],
-    390: [23, 24, 25, 65],
-    400: [22, 23, 65],
-    410: [22, 65],
-    420: [21, 22, 66],
-    430: [20, 21, 66],
-    440: [18, 19, 20, 66],
-    450: [17, 18, 66],
-    460: [16, 17, 66],
-    470: [16, 17, 66],
-    480: [15, 16, 66],
-    490: [15, 66],
-  },
-  780: {
-    150: [51, 52, 53, 54, 55],
-    160: [49, 50, 51, 52, 53, 54, 55, 56, 57],
-    170: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
-    180: [46, 47, 48, 49, 56, 57, 58, 59],
-    190: [45, 46, 47, 58, 59],
-    200: [44, 45, 46, 59, 60],
-    210: [42, 43, 44, 59, 60],
-    220: [41, 42, 43, 60, 61],
-    230: [40, 41, 42, 60, 61],
-    240: [39, 40, 41, 61],
-    250: [38, 39, 61, 62],
-    260: [37, 38, 62],
-    270: [36, 37, 62],
-    280: [35, 36, 62, 63],
-    290: [34, 35, 63],
-    300: [33, 34, 63],
-    310: [32, 33, 63],
-    320: [31, 32, 63],
-    330: [30, 31],
-    340: [29, 30, 64],
-    350: [28, 64],
-    360: [27, 28, 64],
-    370: [26, 27, 64],
-    380: [25, 26, 64],
-    390: [24, 25, 65],
-    400: [23, 24, 65],
-    410: [22, 23, 65],
-    420: [21, 22, 65],
-    430: [20, 21, 65],
-    440: [19, 20, 65],
-    450: [18, 19, 65],
-    460: [18, 66],
-    470: [16, 17],
-    480: [15, 66],
-    490: [15, 66],
-  },
-  790: {
-    160: [51, 52, 53, 54, 55],
-    170: [49, 50, 51, 52, 53, 54, 55, 56, 57],
-    180: [47, 48, 49, 50, 52, 54, 55, 56, 57, 58],
-    190: [45, 46, 47, 48, 56, 57, 58, 59],
-    200: [44, 45, 46, 57, 58, 59],
-    210: [43, 44, 58, 59, 60],
-    220: [42, 43, 59, 60],
-    230: [41, 42, 59, 60],
-    240: [39, 40, 41, 60, 61],
-    250: [39, 40, 61],
-    260: [37, 38, 61],
-    270: [36, 37, 38, 61, 62],
-    280: [35, 36, 61, 62],
-    290: [34, 35, 62],
-    300: [33, 34, 62],
-    310: [32, 33, 62, 63],
-    320: [31, 32, 63],
-    330: [30, 31, 63],
-    340: [29, 30, 63],
-    350: [29, 63],
-    360: [27, 28, 63, 64],
-    370: [26, 27, 64],
-    380: [25, 26, 64],
-    390: [24, 25, 64],
-    400: [23, 24, 64],
-    410: [22, 23, 64],
-    420: [21, 22],
-    430: [21, 65],
-    440: [19, 20, 65],
-    450: [18, 19, 65],
-    460: [17, 18, 65],
-    470: [16, 17, 65],
-    480: [16, 65],
-    490: [16],
-  },
-  800: {
-    160: [53],
-    170: [49, 50, 51, 52, 53, 54, 55],
-    180: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
-    190: [46, 47, 48, 49, 50, 55, 56, 57, 58],
-    200: [44, 45, 46, 47, 56, 57, 58],
-    210: [43, 44, 45, 46, 57, 58, 59],
-    220: [42, 43, 44, 58, 59],
-    230: [41, 42, 43, 59, 60],
-    240: [40, 41, 59, 60],
-    250: [38, 39, 40, 60],
-    260: [38, 39, 60, 61],
-    270: [36, 37, 38, 61],
-    280: [36, 37, 61],
-    290: [34, 35, 61, 62],
-    300: [33, 34, 35, 62],
-    310: [32, 33, 62],
-    320: [31, 32, 33, 62],
-    330: [30, 31, 62, 63],
-    340: [29, 30, 63],
-    350: [28, 29, 30, 63],
-    360: [27, 28, 63],
-    370: [26, 27, 63],
-    380: [25, 26, 27, 63, 64],
-    390: [24, 25],
-    400: [24, 64],
-    410: [22, 23, 24, 64],
-    420: [21, 22, 23, 64],
-    430: [20, 21, 64],
-    440: [20, 64],
-    450: [19, 20, 64, 65],
-    460: [18, 19],
-    470: [16, 17, 18, 65],
-    480: [16, 65],
-  },
-  810: {
-    170: [51, 52, 53, 54],
-    180: [48, 49, 50, 51, 52, 53, 54, 55],
-    190: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
-    200: [45, 46, 47, 48, 49, 55, 56, 57],
-    210: [44, 45, 46, 56, 57, 58],
-    220: [42, 43, 44, 45, 57, 58, 59],
-    230: [42, 43, 58, 59],
-    240: [40, 41, 42, 58, 59],
-    250: [39, 40, 41, 59, 60],
-    260: [38, 39, 59, 60],
-    270: [37, 38, 60, 61],
-    280: [36, 37, 60, 61],
-    290: [35, 36, 60, 61],
-    300: [34, 35, 61],
-    310: [32, 33, 34, 61, 62],
-    320: [32, 33, 62],
-    330: [30, 31, 32, 62],
-    340: [30, 31, 62],
-    350: [29, 30, 62],
-    360: [27, 28, 29],
-    370: [27, 28, 63],
-    380: [26, 27, 63],
-    390: [25, 26, 63],
-    400: [24, 25, 63],
-    410: [23, 63],
-    420: [22, 23, 63, 64],
-    430: [21, 22],
-    440: [20, 21, 64],
-    450: [19, 20, 64],
-    460: [18, 19, 64],
-    470: [17, 18, 64],
-    480: [16, 17],
-    490: [16],
-  },
-  820: {
-    180: [50, 51, 52, 53, 54],
-    190: [47, 48, 49, 50, 51, 52, 53, 54, 55],
-    200: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
-    210: [44, 45, 46, 47, 55, 56, 57],
-    220: [43, 44, 45, 56, 57, 58],
-    230: [42, 43, 44, 57, 58],
-    240: [41, 42, 57, 58],
-    250: [39, 40, 41, 58, 59],
-    260: [38, 39, 40, 59],
-    270: [37, 38, 39, 59, 60],
-    280: [36, 37, 60],
-    290: [35, 36, 60],
-    300: [34, 35, 60, 61],
-    310: [33, 34, 60, 61],
-    320: [32, 33, 61],
-    330: [31, 32, 61],
-    340: [30, 31, 61, 62],
-    350: [29, 30, 62],
-    360: [28, 29, 62],
-    370: [27, 28, 62],
-    380: [26, 27, 62],
-    390: [25, 26, 62, 63],
-    400: [24, 25, 63],
-    410: [23, 24, 63],
-    420: [22, 23, 63],
-    430: [21, 22, 63],
-    440: [20, 21, 63],
-    450: [19, 20],
-    460: [19, 64],
-    470: [17, 18, 19, 64],
-    480: [16, 17, 64],
-    490: [16, 64],
-  },
-  830: {
-    190: [49, 50, 51, 52, 53, 54],
-    200: [47, 48, 49, 50, 51, 52, 53, 54, 55],
-    210: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
-    220: [43, 44, 45, 46, 55, 56, 57],
-    230: [42, 43, 44, 56, 57],
-    240: [41, 42, 43, 56, 57, 58],
-    250: [40, 41, 42, 57, 58],
-    260: [38, 39, 40, 58, 59],
-    270: [37, 38, 39, 58, 59],
-    280: [36, 37, 38, 59, 60],
-    290: [35, 36, 37, 59, 60],
-    300: [34, 35, 36, 60],
-    310: [33, 34, 60],
-    320: [32, 33, 34, 60, 61],
-    330: [31, 32, 61],
-    340: [30, 31, 61],
-    350: [29, 30, 61],
-    360: [29, 61, 62],
-    370: [27, 28, 62],
-    380: [26, 27, 62],
-    390: [26, 62],
-    400: [24, 25, 26, 62],
-    410: [23, 24, 25, 62, 63],
-    420: [22, 23],
-    430: [22, 63],
-    440: [21, 22, 63],
-    450: [19, 20, 21, 63],
-    460: [19, 63],
-    470: [18, 19, 63],
-    480: [17, 18, 63, 64],
-    490: [17, 64],
-  },
-  840: {
-    200: [48, 49, 50, 51, 52, 53, 54],
-    210: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
-    220: [44, 45, 46, 47, 48, 49, 51, 52, 53, 54, 55],
-    230: [43, 44, 45, 46, 54, 55, 56],
-    240: [41, 42, 43, 44, 55, 56, 57],
-    250: [40, 41, 42, 56, 57],
-    260: [39, 40, 41, 57, 58],
-    270: [38, 39, 40, 57, 58],
-    280: [37, 38, 58, 59],
-    290: [36, 37, 59],
-    300: [35, 36, 59, 60],
-    310: [33, 34, 35, 59, 60],
-    320: [33, 34, 59, 60],
-    330: [31, 32, 33, 60],
-    340: [31, 32, 60, 61],
-    350: [30, 31, 61],
-    360: [28, 29, 30, 61],
-    370: [28, 29, 61],
-    380: [27, 28, 61],
-    390: [25, 26, 27, 62],
-    400: [25, 62],
-    410: [24, 25, 62],
-    420: [23, 24, 62],
-    430: [22, 23, 62],
-    440: [21],
-    450: [20, 21, 62, 63],
-    460: [19, 20, 63],
-    470: [18, 19, 63],
-    480: [17, 18, 63],
-    490: [17],
-  },
-  850: {
-    200: [49, 50],
-    210: [47, 48, 49, 50, 51, 52, 53, 54],
-    220: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
-    230: [44, 45, 46, 47, 48, 52, 53, 54, 55],
-    240: [42, 43, 44, 45, 54, 55, 56],
-    250: [41, 42, 43, 55, 56],
-    260: [40, 41, 56, 57],
-    270: [38, 39, 40, 57, 58],
-    280: [38, 39, 57, 58],
-    290: [36, 37, 58],
-    300: [35, 36, 37, 58, 59],
-    310: [34, 35, 59],
-    320: [33, 34, 59],
-    330: [32, 33, 59, 60],
-    340: [31, 32, 59, 60],
-    350: [30, 31, 60],
-    360: [29, 30, 60],
-    370: [28, 29, 60, 61],
-    380: [27, 28, 61],
-    390: [26, 27, 61],
-    400: [25, 26, 61],
-    410: [24, 25, 61],
-    420: [23, 24, 61, 62],
-    430: [22, 23, 62],
-    440: [22, 62],
-    450: [20, 21, 22, 62],
-    460: [19, 20, 62],
-    470: [18, 19, 62],
-    480: [18],
-    490: [18],
-  },
-  860: {
-    210: [49, 50, 51],
-    220: [46, 47, 48, 49, 50, 51, 52, 53],
-    230: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
-    240: [43, 44, 45, 46, 52, 53, 54, 55],
-    250: [41, 42, 43, 44, 54, 55, 56],
-    260: [40, 41, 42, 55, 56],
-    270: [39, 40, 41, 56, 57],
-    280: [38, 39, 56, 57],
-    290: [37, 38, 57, 58],
-    300: [35, 36, 37, 57, 58],
-    310: [35, 36, 58, 59],
-    320: [33, 34, 35, 58, 59],
-    330: [33, 34, 58, 59],
-    340: [31, 32, 59],
-    350: [30, 31, 32, 59, 60],
-    360: [29, 30, 60],
-    370: [28, 29, 30, 60],
-    380: [27, 28, 60],
-    390: [26, 27, 60, 61],
-    400: [25, 26, 27, 60, 61],
-    410: [25, 61],
-    420: [24, 61],
-    430: [22, 23, 24, 61],
-    440: [22, 23, 61],
-    450: [21, 62],
-    460: [20, 21, 62],
-    470: [19, 20, 62],
-    480: [18, 19, 62],
-    490: [62],
-  },
-  870: {
-    220: [48, 49, 50, 51],
-    230: [46, 47, 48, 49, 50, 51, 52, 53],
-    240: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
-    250: [42, 43, 44, 45, 52, 53, 54, 55],
-    260: [41, 42, 43, 54, 55],
-    270: [39, 40, 41, 55, 56],
-    280: [38, 39, 40, 55, 56],
-    290: [37, 38, 39, 56, 57],
-    300: [36, 37, 38, 57],
-    310: [35, 36, 57, 58],
-    320: [34, 35, 58],
-    330: [33, 34, 58],
-    340: [32, 33, 58, 59],
-    350: [31, 32, 58, 59],
-    360: [30, 31, 59],
-    370: [29, 30, 59, 60],
-    380: [28, 29],
-    390: [27, 28, 60],
-    400: [26, 27, 60],
-    410: [25, 26, 60],
-    420: [24, 25, 60, 61],
-    430: [23, 24, 61],
-    440: [22, 23, 61],
-    450: [22, 61],
-    460: [20, 21, 61],
-    470: [19, 20],
-    480: [19, 61, 62],
-    490: [62],
-  },
-  880: {
-    230: [46, 47, 48, 49, 50, 51],
-    240: [45, 46, 47, 48, 49, 50, 51, 52, 53],
-    250: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
-    260: [41, 42, 43, 44, 45, 52, 53, 54],
-    270: [40, 41, 42, 43, 54, 55],
-    280: [39, 40, 41, 54, 55, 56],
-    290: [37, 38, 39, 40, 55, 56],
-    300: [36, 37, 38, 56, 57],
-    310: [35, 36, 37, 56, 57],
-    320: [34, 35, 36, 57],
-    330: [33, 34, 57, 58],
-    340: [32, 33, 34, 58],
-    350: [31, 32, 58],
-    360: [30, 31, 58, 59],
-    370: [29, 30, 58, 59],
-    380: [28, 29, 59],
-    390: [27, 28, 59],
-    400: [26, 27],
-    410: [25, 26, 27, 59, 60],
-    420: [24, 25, 60],
-    430: [24, 60],
-    440: [22, 23, 24, 60],
-    450: [21, 22, 23, 60, 61],
-    460: [21, 61],
-    470: [20, 21, 61],
-    480: [20, 61],
-    490: [19, 61],
-  },
-  890: {
-    240: [46, 47, 48, 49, 50, 51],
-    250: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
-    260: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
-    270: [41, 42, 43, 44, 52, 53, 54],
-    280: [39, 40, 41, 42, 53, 54, 55],
-    290: [39, 40, 54, 55],
-    300: [37, 38, 39, 55, 56],
-    310: [36, 37, 38, 55, 56],
-    320: [35, 36, 56, 57],
-    330: [34, 35, 56, 57],
-    340: [32, 33, 34, 57],
-    350: [32, 33, 57, 58],
-    360: [31, 32, 57, 58],
-    370: [29, 30, 31, 58],
-    380: [29, 30, 58, 59],
-    390: [27, 28, 29, 58, 59],
-    400: [27, 28, 59],
-    410: [26, 59],
-    420: [25, 26, 59],
-    430: [24, 25, 59, 60],
-    440: [23, 60],
-    450: [22, 23, 60],
-    460: [21, 22, 60],
-    470: [20, 21, 60],
-    480: [19, 20, 60, 61],
-    490: [19],
-  },
-  900: {
-    250: [45, 46, 47, 48, 49, 50, 51],
-    260: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
-    270: [41, 42, 43, 44, 45, 47, 48, 49, 50, 51, 52, 53],
-    280: [41, 42, 43, 51, 52, 53, 54],
-    290: [39, 40, 41, 53, 54],
-    300: [38, 39, 40, 54, 55],
-    310: [36, 37, 38, 54, 55],
-    320: [35, 36, 37, 55, 56],
-    330: [34, 35, 36, 56],
-    340: [33, 34, 35, 56, 57],
-    350: [32, 33, 57],
-    360: [31, 32, 57],
-    370: [30, 31, 57],
-    380: [30, 57, 58],
-    390: [28, 29, 58],
-    400: [27, 28, 58, 59],
-    410: [26, 27, 58, 59],
-    420: [25, 26, 59],
-    430: [24, 25, 59],
-    440: [24, 59],
-    450: [22, 23, 24, 59, 60],
-    460: [21, 22, 23],
-    470: [21, 60],
-    480: [20, 21, 60],
-    490: [19, 20],
-  },
-  910: {
-    260: [45, 46, 47, 48, 49, 50],
-    270: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
-    280: [41, 42, 43, 44, 45, 46, 48, 49, 50, 51, 52, 53],
-    290: [40, 41, 42, 43, 51, 52, 53],
-    300: [38, 39, 40, 52, 53, 54],
-    310: [37, 38, 39, 53, 54, 55],
-    320: [36, 37, 38, 54, 55],
-    330: [35, 36, 55, 56],
-    340: [34, 35, 55, 56],
-    350: [32, 33, 34, 56],
-    360: [31, 32, 33, 56, 57],
-    370: [31, 32, 57],
-    380: [29, 30, 31, 57],
-    390: [29, 30, 57, 58],
-    400: [27, 28, 29, 57, 58],
-    410: [26, 27, 28, 58],
-    420: [26, 58],
-    430: [25, 26, 58],
-    440: [24, 25, 58, 59],
-    450: [23, 59],
-    460: [22, 23, 59],
-    470: [21, 22, 59],
-    480: [20, 21],
-    490: [20],
-  },
-  920: {
-    270: [44, 45, 46, 47, 48, 49, 50],
-    280: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
-    290: [40, 41, 42, 43, 44, 45, 46, 49, 50, 51, 52],
-    300: [39, 40, 41, 42, 51, 52, 53],
-    310: [38, 39, 40, 52, 53, 54],
-    320: [36, 37, 38, 53, 54],
-    330: [36, 37, 54, 55],
-    340: [34, 35, 54, 55],
-    350: [33, 34, 35, 55, 56],
-    360: [32, 33, 55, 56],
-    370: [31, 32, 33, 56],
-    380: [30, 31, 56, 57],
-    390: [29, 30, 56, 57],
-    400: [28, 29, 57],
-    410: [27, 28, 57],
-    420: [26, 27, 57, 58],
-    430: [25, 26, 58],
-    440: [24, 25, 58],
-    450: [24, 58],
-    460: [22, 23, 24, 58, 59],
-    470: [21, 22, 23, 59],
-    480: [21, 59],
-    490: [21, 59],
-  },
-  930: {
-    270: [46, 47],
-    280: [43, 44, 45, 46, 47, 48, 49, 50],
-    290: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
-    300: [40, 41, 42, 43, 44, 45, 46, 49, 50, 51, 52],
-    310: [38, 39, 40, 41, 42, 50, 51, 52, 53],
-    320: [37, 38, 39, 40, 51, 52, 53],
-    330: [36, 37, 38, 53, 54],
-    340: [35, 36, 37, 53, 54],
-    350: [33, 34, 35, 54, 55],
-    360: [33, 34, 55],
-    370: [31, 32, 33, 55, 56],
-    380: [31, 32, 55, 56],
-    390: [29, 30, 31, 56],
-    400: [29, 30, 56],
-    410: [27, 28, 56, 57],
-    420: [26, 27, 28, 57],
-    430: [26, 27, 57],
-    440: [25, 26, 57, 58],
-    450: [24, 25, 58],
-    460: [23, 58],
-    470: [22, 23, 58],
-    480: [21, 22, 58, 59],
-    490: [59],
-  },
-  940: {
-    280: [47, 48],
-    290: [43, 44, 45, 46, 47, 48, 49, 50],
-    300: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
-    310: [39, 40, 41, 42, 43, 47, 48, 49, 50, 51, 52],
-    320: [38, 39, 40, 50, 51, 52],
-    330: [36, 37, 38, 39, 51, 52, 53],
-    340: [36, 37, 38, 52, 53, 54],
-    350: [34, 35, 36, 53, 54],
-    360: [33, 34, 35, 54, 55],
-    370: [32, 33, 54, 55],
-    380: [31, 32, 33, 55],
-    390: [30, 31, 55, 56],
-    400: [29, 30, 56],
-    410: [28, 29, 56],
-    420: [27, 28, 56],
-    430: [26, 27, 56, 57],
-    440: [25, 26, 57],
-    450: [24, 25, 57],
-    460: [24, 57, 58],
-    470: [22, 23, 24, 57, 58],
-    480: [22, 23, 58],
-    490: [58],
-  },
-  950: {
-    300: [43, 44, 45, 46, 47, 48, 49],
-    310: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
-    320: [39, 40, 41, 42, 43, 47, 48, 49, 50, 51],
-    330: [38, 39, 40, 50, 51, 52],
-    340: [36, 37, 38, 51, 52, 53],
-    350: [35, 36, 37, 52, 53],
-    360: [34, 35, 53, 54],
-    370: [33, 34, 35, 53, 54],
-    380: [31, 32, 33, 54, 55],
-    390: [31, 32, 54, 55],
-    400: [29, 30, 55],
-    410: [29, 30, 55, 56],
-    420: [28, 55, 56],
-    430: [26, 27, 28, 56],
-    440: [26, 27, 56],
-    450: [25, 26, 56, 57],
-    460: [24, 25, 57],
-    470: [23, 24, 57],
-    480: [22, 23, 57],
-    490: [22],
-  },
-  960: {
-    300: [44, 45, 46],
-    310: [41, 42, 43, 44, 45, 46, 47, 48, 49],
-    320: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
-    330: [38, 39, 40, 41, 42, 43, 44, 48, 49, 50, 51],
-    340: [37, 38, 39, 40, 50, 51, 52],
-    350: [36, 37, 38, 50, 51, 52],
-    360: [34, 35, 36, 37, 51, 52, 53],
-    370: [33, 34, 35, 52, 53],
-    380: [32, 33, 34, 53, 54],
-    390: [31, 32, 33, 53, 54],
-    400: [30, 31, 54, 55],
-    410: [29, 30, 31, 54, 55],
-    420: [28, 29, 55],
-    430: [27, 28, 29, 55],
-    440: [27, 55, 56],
-    450: [25, 26, 55, 56],
-    460: [24, 25, 26, 56],
-    470: [24, 56, 57],
-    480: [22, 23, 24, 57],
-    490: [22, 23],
-  },
-  970: {
-    310: [44, 45, 46, 47],
-    320: [41, 42, 43, 44, 45, 46, 47, 48, 49],
-    330: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
-    340: [38, 39, 40, 41, 42, 43, 45, 46, 47, 48, 49, 50, 51],
-    350: [36, 37, 38, 39, 40, 49, 50, 51],
-    360: [36, 37, 38, 50, 51, 52],
-    370: [34, 35, 36, 51, 52],
-    380: [33, 34, 35, 52, 53],
-    390: [32, 33, 53],
-    400: [31, 32, 53, 54],
-    410: [30, 31, 54],
-    420: [29, 30, 54, 55],
-    430: [28, 29, 54],
-    440: [27, 28, 54, 55],
-    450: [26, 27, 55],
-    460: [25, 26, 55, 56],
-    470: [24, 25, 55, 56],
-    480: [23, 24, 56],
-    490: [23, 56],
-  },
-  980: {
-    320: [46],
-    330: [41, 42, 43, 44, 45, 46, 47],
-    340: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
-    350: [38, 39, 40, 41, 46, 47, 48, 49, 50],
-    360: [36, 37, 38, 39, 48, 49, 50, 51],
-    370: [35, 36, 37, 38, 50, 51, 52],
-    380: [34, 35, 36, 50, 51, 52],
-    390: [32, 33, 34, 52, 53],
-    400: [31, 32, 33, 52, 53],
-    410: [30, 31, 32, 53],
-    420: [29, 30, 31, 53, 54],
-    430: [28, 29, 30, 54],
-    440: [27, 28, 29, 54, 55],
-    450: [27, 28, 54],
-    460: [25, 26, 54, 55],
-    470: [25, 26, 55],
-    480: [24, 55, 56],
-    490: [24, 55, 56],
-  },
-  990: {
-    330: [43, 44],
-    340: [41, 42, 43, 44, 45, 46, 47, 48],
-    350: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
-    360: [37, 38, 39, 40, 41, 42, 46, 47, 48, 49],
-    370: [36, 37, 38, 39, 49, 50, 51],
-    380: [34, 35, 36, 37, 49, 50, 51],
-    390: [34, 35, 36, 50, 51, 52],
-    400: [32, 33, 34, 51, 52],
-    410: [31, 32, 33, 52, 53],
-    420: [30, 31, 52, 53],
-    430: [29, 30, 31, 53],
-    440: [28, 29, 53, 54],
-    450: [27, 28, 54],
-    460: [26, 27, 54],
-    470: [25, 26],
-    480: [24, 25, 54, 55],
-    490: [55],
-  },
-  1000: {
-    340: [43, 44, 45],
-    350: [40, 41, 42, 43, 44, 45, 46, 47],
-    360: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    370: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
-    380: [35, 36, 37, 38, 39, 47, 48, 49, 50],
-    390: [34, 35, 36, 49, 50, 51],
-    400: [33, 34, 35, 50, 51],
-    410: [32, 33, 34, 50, 51, 52],
-    420: [31, 32, 51, 52],
-    430: [29, 30, 31, 52, 53],
-    440: [29, 30, 52, 53],
-    450: [27, 28, 29, 53],
-    460: [27, 28, 53, 54],
-    470: [25, 26, 27, 53, 54],
-    480: [25, 26, 54],
-  },
-  1010: {
-    350: [44, 45],
-    360: [40, 41, 42, 43, 44, 45, 46],
-    370: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    380: [37, 38, 39, 43, 44, 45, 46, 47, 48, 49],
-    390: [35, 36, 37, 38, 47, 48, 49, 50],
-    400: [34, 35, 36, 37, 48, 49, 50],
-    410: [32, 33, 34, 49, 50, 51],
-    420: [32, 33, 34, 50, 51],
-    430: [30, 31, 32, 50, 51, 52],
-    440: [30, 31, 51, 52],
-    450: [28, 29, 52, 53],
-    460: [28, 29, 52, 53],
-    470: [26, 27, 53],
-    480: [26, 27, 53, 54],
-  },
-  1020: {
-    370: [41, 42, 43, 44, 45, 46],
-    380: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    390: [36, 37, 38, 39, 40, 41, 44, 45, 46, 47, 48],
-    400: [35, 36, 37, 47, 48, 49],
-    410: [33, 34, 35, 36, 48, 49, 50],
-    420: [32, 33, 34, 49, 50],
-    430: [31, 32, 33, 49, 50, 51],
-    440: [30, 31, 32, 51],
-    450: [29, 30, 51, 52],
-    460: [28, 29, 30, 52],
-    470: [27, 28, 52, 53],
-    480: [26, 27, 52, 53],
-    490: [26, 52],
-  },
-  1030: {
-    370: [42, 43],
-    380: [39, 40, 41, 42, 43, 44, 45, 46],
-    390: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
-    400: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    410: [35, 36, 37, 38, 45, 46, 47, 48],
-    420: [33, 34, 35, 48, 49, 50],
-    430: [32, 33, 34, 48, 49, 50],
-    440: [31, 32, 49, 50, 51],
-    450: [30, 31, 32, 50, 51],
-    460: [28, 29, 30, 51],
-    470: [28, 29, 51, 52],
-    480: [26, 27, 28, 52],
-    490: [26, 27, 52],
-    500: [52],
-  },
-  1040: {
-    390: [39, 40, 41, 42, 43, 44],
-    400: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
-    410: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
-    420: [34, 35, 36, 37, 38, 46, 47, 48],
-    430: [33, 34, 35, 47, 48],
-    440: [31, 32, 33, 34, 48, 49, 50],
-    450: [31, 32, 33, 49, 50],
-    460: [29, 30, 31, 49, 50, 51],
-    470: [28, 29, 30, 50, 51],
-    480: [27, 28, 29, 51],
-    490: [27, 28, 51, 52],
-  },
-  1050: {
-    400: [39, 40, 41, 42, 43, 44, 45],
-    410: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
-    420: [36, 37, 38, 39, 40, 42, 43, 44, 45, 46, 47],
-    430: [34, 35, 36, 37, 44, 45, 46, 47, 48],
-    440: [33, 34, 35, 36, 46, 47, 48, 49],
-    450: [31, 32, 33, 47, 48, 49],
-    460: [30, 31, 32, 48, 49, 50],
-    470: [29, 30, 31, 49, 50],
-    480: [28, 29, 30, 49, 50, 51],
-    490: [29, 50, 51],
-  },
-  1060: {
-    410: [39, 40, 41, 43, 44],
-    420: [37, 38, 39, 40, 41, 42, 43, 44, 45],
-    430: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
-    440: [34, 35, 36, 37, 44, 45, 46, 47],
-    450: [32, 33, 34, 35, 47, 48],
-    460: [32, 33, 34, 47, 48, 49],
-    470: [30, 31, 32, 48, 49],
-    480: [29, 30, 31, 48, 49, 50],
-    490: [49],
-  },
-  1070: {
-    420: [38, 39, 40, 41, 42, 43],
-    430: [37, 38, 39, 40, 41, 42, 43, 44, 45],
-    440: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
-    450: [33, 34, 35, 36, 37, 38, 39, 44, 45, 46, 47],
-    460: [32, 33, 34, 35, 45, 46, 47],
-    470: [31, 32, 33, 34, 47, 48],
-    480: [30, 31, 32, 47, 48, 49],
-    490: [30, 31],
-    500: [30],
-  },
-  1080: {
-    430: [39, 40, 41, 42, 43],
-    440: [36, 37, 38, 39, 40, 41, 42, 43],
-    450: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
-    460: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
-    470: [32, 33, 34, 35, 36, 45, 46, 47],
-    480: [30, 31, 32, 45, 46, 47],
-    490: [30, 31, 32],
-  },
-  1090: {
-    450: [36, 37, 38, 39, 40, 41, 42, 43, 44],
-    460: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
-    470: [34, 35, 36, 37, 42, 43, 44, 45, 46],
-    480: [32, 33, 34, 35, 43, 44, 45, 46],
-    490: [31, 32, 33, 34, 45],
-  },
-  1100: {
-    450: [39, 40],
-    460: [37, 38, 39, 40, 41, 42, 43],
-    470: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
-    480: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
-    490: [34, 43, 44, 45],
-    500: [45],
-  },
-  1110: {
-    470: [36, 37, 38, 39, 40, 41, 42],
-    480: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
-    490: [38, 39, 40, 41, 42, 43, 44, 45],
-    500: [43],
-  },
-  1120: {
-    480: [38, 39, 40, 41, 42],
-    490: [38, 39, 40, 41, 42, 43],
-    500: [38, 39],
-  },
-};
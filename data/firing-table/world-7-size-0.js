@@ -0,0 +1,5149 @@
+// Firing Table Data for World 7
+// Cannonball size level 0 (radius 8.0px)
+// Generated on 2026-10-19T18:31:50.850Z
+export default {
+  0: {
+    0: [95, 101, 102],
+    10: [95, 101, 102],
+    20: [95, 102, 103],
+    30: [95, 102, 103],
+    40: [95, 103, 104],
+    50: [95, 103, 104],
+    60: [95, 103, 104],
+    70: [95, 104, 105],
+    80: [95, 104, 105],
+    90: [105, 106],
+    100: [105, 106],
+    110: [105, 106, 107],
+    120: [106, 107],
+    130: [106, 107, 108],
+    140: [107, 108, 109],
+    150: [107, 108, 109],
+    160: [108, 109, 110],
+    170: [108, 109, 110, 111],
+    180: [110, 111],
+    190: [110, 111, 112],
+    200: [111, 112, 113],
+    210: [111, 112, 113, 114],
+    220: [112, 113, 114, 115],
+    230: [94, 113, 114, 115],
+    240: [94, 114, 115, 116, 117],
+    250: [115, 116, 117],
+    260: [116, 117, 118, 119],
+    270: [94, 117, 118, 119, 120],
+    280: [94, 118, 119, 120, 121, 122],
+    290: [94, 120, 121, 122, 123],
+    300: [94, 121, 122, 123, 124, 125],
+    310: [94, 122, 123, 124, 125, 126],
+    320: [94, 125, 126, 127, 128],
+    330: [94, 126, 127, 128, 129, 130, 131],
+    340: [94, 129, 130, 131],
+    350: [94, 130, 131, 132, 133, 134, 135],
+    360: [94, 132, 133, 134, 135, 136, 137],
+    370: [94, 137],
+    380: [94, 137, 138, 139, 140, 141, 142, 143],
+    390: [94, 140, 141, 142, 143, 144, 145, 146, 147],
+    400: [94, 145, 146, 147, 148],
+    410: [94, 149, 150, 151, 152],
+    420: [94, 151, 152, 153, 154, 155, 156, 157, 158],
+    430: [94, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    440: [94, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [94, 164, 165, 166, 167, 168, 169, 170],
+    460: [94, 170, 171, 172, 173],
+    470: [94, 175, 176, 177],
+    480: [94, 180, 181, 182],
+    490: [94, 184, 185, 186]
+  },
+  10: {
+    0: [100, 101],
+    10: [101],
+    20: [101, 102],
+    30: [101, 102],
+    40: [94, 101, 102, 103],
+    50: [94, 102, 103],
+    60: [94, 102, 103],
+    70: [94, 103, 104],
+    80: [94, 103, 104],
+    90: [94, 103, 104, 105],
+    100: [94, 104, 105],
+    110: [94, 104, 105],
+    120: [94, 104, 105, 106],
+    130: [94, 105, 106, 107],
+    140: [94, 105, 106, 107],
+    150: [94, 106, 107, 108],
+    160: [94, 107, 108],
+    170: [94, 107, 108, 109],
+    180: [94, 108, 109, 110],
+    190: [94, 108, 109, 110],
+    200: [94, 109, 110, 111],
+    210: [94, 110, 111],
+    220: [94, 110, 111, 112, 113],
+    230: [94, 112, 113],
+    240: [94, 112, 113, 114, 115],
+    250: [94, 113, 114, 115, 116],
+    260: [94, 114, 115, 116, 117],
+    270: [94, 116, 117, 118],
+    280: [94, 116, 117, 118, 119, 120],
+    290: [94, 118, 119, 120],
+    300: [94, 119, 120, 121, 122, 123],
+    310: [94, 121, 122, 123],
+    320: [94, 122, 123, 124, 125, 126],
+    330: [94, 124, 125, 126, 127, 128],
+    340: [94, 126, 127, 128, 129, 130],
+    350: [94, 127, 128, 129, 130, 131, 132, 133],
+    360: [94, 132, 133],
+    370: [94, 132, 133, 134, 135, 136, 137, 138],
+    380: [94, 135, 136, 137, 138, 139, 140, 141],
+    390: [94, 141],
+    400: [94, 141, 142, 143, 144, 145, 146, 147, 148],
+    410: [94, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    420: [94, 149, 150, 151, 152, 153, 154, 155, 156],
+    430: [94, 156, 157],
+    440: [94, 159, 160, 161, 162, 163, 164],
+    450: [94, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [94, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    480: [94, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
+    490: [182, 183, 184, 185, 186, 187, 188],
+    500: [188]
+  },
+  20: {
+    0: [94, 99, 100],
+    10: [94, 100],
+    20: [94, 100, 101],
+    30: [94, 100, 101],
+    40: [94, 100, 101, 102],
+    50: [94, 101, 102],
+    60: [94, 101, 102],
+    70: [94, 102, 103],
+    80: [94, 102, 103],
+    90: [94, 102, 103],
+    100: [94, 102, 103, 104],
+    110: [94, 103, 104],
+    120: [94, 103, 104, 105],
+    130: [94, 104, 105],
+    140: [94, 104, 105],
+    150: [94, 104, 105, 106],
+    160: [94, 105, 106, 107],
+    170: [94, 106, 107],
+    180: [94, 106, 107, 108],
+    190: [94, 107, 108, 109],
+    200: [107, 108, 109, 110],
+    210: [108, 109, 110],
+    220: [109, 110, 111],
+    230: [109, 110, 111, 112],
+    240: [110, 111, 112, 113],
+    250: [111, 112, 113, 114],
+    260: [112, 113, 114, 115],
+    270: [113, 114, 115, 116],
+    280: [114, 115, 116, 117],
+    290: [115, 116, 117, 118, 119],
+    300: [117, 118, 119, 120],
+    310: [118, 119, 120, 121, 122],
+    320: [119, 120, 121, 122, 123, 124],
+    330: [122, 123, 124, 125],
+    340: [123, 124, 125, 126, 127, 128],
+    350: [126, 127, 128, 129],
+    360: [127, 128, 129, 130, 131, 132, 133],
+    370: [129, 130, 131, 132, 133, 134, 135, 136],
+    390: [135, 136, 137, 138, 139, 140, 141, 142],
+    400: [138, 139, 140, 141, 142, 143, 144, 145, 146],
+    410: [144, 145, 146, 147],
+    420: [147, 148, 149, 150, 151, 152, 153],
+    430: [150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    440: [155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    450: [161, 162, 163, 164, 165, 166, 167, 168, 169],
+    460: [167, 168, 169, 170, 171, 172, 173, 174],
+    470: [173, 174, 175, 176, 177, 178, 179],
+    480: [179, 180, 181, 182, 183, 184, 185],
+    490: [184, 185, 186, 187, 188]
+  },
+  30: {
+    0: [94, 98, 99],
+    10: [94, 99, 100],
+    20: [94, 99, 100],
+    30: [99, 100],
+    40: [99, 100],
+    50: [100, 101],
+    60: [100, 101],
+    70: [100, 101],
+    80: [101, 102],
+    90: [101, 102],
+    100: [101, 102, 103],
+    110: [102, 103],
+    120: [102, 103],
+    130: [102, 103, 104],
+    140: [103, 104],
+    150: [103, 104, 105],
+    160: [103, 104, 105, 106],
+    170: [93, 104, 105, 106],
+    180: [93, 104, 105, 106, 107],
+    190: [93, 105, 106, 107],
+    200: [93, 106, 107, 108],
+    210: [93, 106, 107, 108, 109],
+    220: [93, 107, 108, 109],
+    230: [93, 107, 108, 109, 110],
+    240: [93, 109, 110],
+    250: [93, 109, 110, 111, 112],
+    260: [93, 111, 112],
+    270: [93, 111, 112, 113, 114],
+    280: [93, 113, 114, 115],
+    290: [93, 113, 114, 115, 116, 117],
+    300: [93, 116, 117],
+    310: [93, 115, 116, 117, 118, 119, 120],
+    320: [93, 118, 119, 120],
+    330: [93, 118, 119, 120, 121, 122, 123],
+    340: [93, 120, 121, 122, 123, 124, 125],
+    350: [93, 122, 123, 124, 125, 126, 127],
+    360: [93, 124, 125, 126, 127, 128, 129, 130],
+    370: [93],
+    380: [93, 129, 130, 131, 132, 133, 134, 135, 136],
+    390: [93, 132, 133, 134, 135, 136, 137, 138, 139],
+    400: [93],
+    410: [93, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    420: [93, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    430: [93, 149, 150, 151, 152, 153, 154, 155, 156],
+    440: [93],
+    450: [93, 161, 162, 163, 164, 165, 166, 167],
+    460: [93, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [93, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    480: [93, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [184, 185, 186, 187, 188, 189, 190]
+  },
+  40: {
+    0: [93, 97, 98],
+    10: [93, 98, 99],
+    20: [93, 98, 99],
+    30: [93, 98, 99],
+    40: [93, 98, 99],
+    50: [93, 99, 100],
+    60: [93, 99, 100],
+    70: [93, 99, 100],
+    80: [93, 99, 100, 101],
+    90: [93, 100, 101],
+    100: [93, 100, 101],
+    110: [93, 100, 101, 102],
+    120: [93, 101, 102],
+    130: [93, 101, 102, 103],
+    140: [93, 101, 102, 103],
+    150: [93, 102, 103],
+    160: [93, 102, 103, 104],
+    170: [93, 103, 104],
+    180: [93, 103, 104, 105],
+    190: [93, 103, 104, 105, 106],
+    200: [93, 104, 105, 106],
+    210: [93, 104, 105, 106, 107],
+    220: [93, 105, 106, 107],
+    230: [93, 105, 106, 107, 108],
+    240: [93, 106, 107, 108, 109],
+    250: [93, 107, 108, 109, 110],
+    260: [93, 108, 109, 110, 111],
+    270: [93, 109, 110, 111, 112],
+    280: [93, 109, 110, 111, 112, 113],
+    290: [93, 110, 111, 112, 113, 114],
+    300: [93, 112, 113, 114, 115, 116],
+    310: [93, 113, 114, 115, 116, 117],
+    320: [93, 114, 115, 116, 117, 118],
+    330: [93, 115, 116, 117, 118, 119, 120, 121],
+    340: [93, 119, 120, 121],
+    350: [93, 118, 119, 120, 121, 122, 123, 124, 125],
+    360: [93, 122, 123, 124, 125, 126],
+    370: [93, 123, 124, 125, 126, 127, 128, 129, 130],
+    380: [93, 126, 127, 128, 129, 130, 131, 132, 133],
+    390: [93],
+    400: [93, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    410: [93, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    420: [93, 144, 145, 146],
+    430: [93, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    440: [150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    450: [93, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    460: [93, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    480: [93, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [184, 185, 186, 187, 188, 189, 190]
+  },
+  50: {
+    0: [93, 96, 97],
+    10: [93, 97, 98],
+    20: [93, 97, 98],
+    30: [93, 97, 98],
+    40: [93, 97, 98],
+    50: [93, 97, 98],
+    60: [93, 98, 99],
+    70: [93, 98, 99],
+    80: [93, 98, 99],
+    90: [93, 98, 99],
+    100: [93, 99, 100],
+    110: [93, 99, 100],
+    120: [93, 99, 100, 101],
+    130: [93, 99, 100, 101],
+    140: [100, 101, 102],
+    150: [100, 101, 102],
+    160: [100, 101, 102],
+    170: [101, 102, 103],
+    180: [101, 102, 103],
+    190: [101, 102, 103, 104],
+    200: [102, 103, 104],
+    210: [102, 103, 104, 105],
+    220: [103, 104, 105, 106],
+    230: [104, 105, 106],
+    240: [104, 105, 106, 107],
+    250: [105, 106, 107],
+    260: [105, 106, 107, 108, 109],
+    270: [107, 108, 109],
+    280: [107, 108, 109, 110, 111],
+    290: [109, 110, 111],
+    300: [109, 110, 111, 112, 113],
+    310: [111, 112, 113],
+    320: [111, 112, 113, 114, 115, 116],
+    330: [113, 114, 115, 116, 117],
+    340: [114, 115, 116, 117, 118, 119, 120],
+    350: [115, 116, 117, 118, 119, 120, 121],
+    360: [118, 119, 120, 121, 122, 123],
+    370: [119, 120, 121, 122, 123, 124, 125, 126, 127],
+    380: [124, 125, 126, 127],
+    390: [125, 126, 127, 128, 129, 130, 131, 132, 133],
+    400: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    420: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    430: [141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    440: [148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    460: [164, 165, 166, 167, 168, 169, 170, 171],
+    470: [170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    480: [179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189],
+    490: [188, 189, 190, 191, 192, 193, 194, 195]
+  },
+  60: {
+    0: [95, 96],
+    10: [96, 97],
+    20: [96, 97],
+    30: [96, 97],
+    40: [92, 96, 97],
+    50: [92, 96, 97],
+    60: [92, 96, 97, 98],
+    70: [92, 97, 98],
+    80: [92, 97, 98],
+    90: [92, 97, 98],
+    100: [92, 97, 98, 99],
+    110: [92, 97, 98, 99],
+    120: [92, 98, 99],
+    130: [92, 98, 99, 100],
+    140: [92, 98, 99, 100],
+    150: [92, 99, 100],
+    160: [92, 99, 100, 101],
+    170: [92, 99, 100, 101],
+    180: [92, 100, 101],
+    190: [92, 100, 101, 102],
+    200: [92, 100, 101, 102, 103],
+    210: [92, 101, 102, 103],
+    220: [92, 101, 102, 103, 104],
+    230: [92, 102, 103, 104],
+    240: [92, 102, 103, 104, 105],
+    250: [92, 103, 104, 105],
+    260: [92, 103, 104, 105, 106, 107],
+    270: [92, 104, 105, 106, 107],
+    280: [92, 104, 105, 106, 107, 108],
+    290: [92, 106, 107, 108, 109],
+    300: [92, 106, 107, 108, 109, 110, 111],
+    310: [92, 108, 109, 110, 111],
+    320: [92, 108, 109, 110, 111, 112, 113],
+    330: [92, 111, 112, 113],
+    340: [92, 110, 111, 112, 113, 114, 115, 116, 117],
+    350: [92, 114, 115, 116],
+    360: [92, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    370: [92, 116, 117, 118, 119, 120, 121, 122],
+    380: [92, 118, 119, 120, 121, 122, 123, 124, 125],
+    390: [92, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    400: [92],
+    410: [92, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    420: [92, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    430: [92, 142, 143, 144],
+    440: [92, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    450: [92, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    460: [92, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    470: [92, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [92, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192, 193],
+    490: [185, 186, 187, 188, 189, 190, 191, 192, 193, 194, 195],
+    500: [194, 195]
+  },
+  70: {
+    0: [92, 94, 95],
+    10: [92, 95, 96],
+    20: [92, 95, 96],
+    30: [92, 95, 96],
+    40: [92, 95, 96],
+    50: [92, 95, 96],
+    60: [92, 95, 96],
+    70: [92, 95, 96, 97],
+    80: [92, 96, 97],
+    90: [92, 96, 97],
+    100: [92, 96, 97],
+    110: [92, 96, 97, 98],
+    120: [92, 96, 97, 98],
+    130: [92, 97, 98],
+    140: [92, 97, 98, 99],
+    150: [92, 97, 98, 99],
+    160: [92, 97, 98, 99],
+    170: [92, 97, 98, 99, 100],
+    180: [92, 98, 99, 100],
+    190: [92, 98, 99, 100],
+    200: [92, 98, 99, 100, 101],
+    210: [92, 99, 100, 101],
+    220: [92, 99, 100, 101, 102],
+    230: [92, 100, 101, 102],
+    240: [92, 100, 101, 102, 103],
+    250: [92, 100, 101, 102, 103],
+    260: [92, 101, 102, 103, 104],
+    270: [92, 101, 102, 103, 104, 105],
+    280: [92, 102, 103, 104, 105, 106],
+    290: [92, 102, 103, 104, 105, 106, 107],
+    300: [92, 103, 104, 105, 106, 107],
+    310: [92, 104, 105, 106, 107, 108, 109],
+    320: [92, 105, 106, 107, 108, 109, 110],
+    330: [92, 106, 107, 108, 109, 110, 111],
+    340: [92, 107, 108, 109, 110, 111, 112, 113],
+    350: [92, 109, 110, 111, 112, 113, 114],
+    360: [92, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    370: [92],
+    380: [92, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    390: [92, 117, 118, 119, 120, 121, 122, 123],
+    400: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    410: [121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    420: [92],
+    430: [92, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    440: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    450: [92, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    460: [92],
+    480: [92]
+  },
+  80: {
+    0: [92, 94],
+    10: [92, 94, 95],
+    20: [92, 94, 95],
+    30: [92, 94, 95],
+    40: [94, 95],
+    50: [94, 95],
+    60: [94, 95],
+    70: [94, 95, 96],
+    80: [94, 95, 96],
+    90: [95, 96],
+    100: [95, 96],
+    110: [95, 96],
+    120: [95, 96, 97],
+    130: [95, 96, 97],
+    140: [95, 96, 97],
+    150: [95, 96, 97],
+    160: [96, 97],
+    170: [96, 97, 98],
+    180: [96, 97, 98],
+    190: [96, 97, 98],
+    200: [96, 97, 98, 99],
+    210: [97, 98, 99],
+    220: [97, 98, 99, 100],
+    230: [97, 98, 99, 100],
+    240: [97, 98, 99, 100, 101],
+    250: [98, 99, 100, 101],
+    260: [98, 99, 100, 101],
+    270: [99, 100, 101, 102, 103],
+    280: [100, 101, 102, 103],
+    290: [99, 100, 101, 102, 103, 104],
+    300: [101, 102, 103, 104],
+    310: [100, 101, 102, 103, 104, 105, 106],
+    320: [102, 103, 104, 105, 106],
+    330: [102, 103, 104, 105, 106, 107, 108],
+    340: [104, 105, 106, 107, 108],
+    350: [104, 105, 106, 107, 108, 109, 110, 111],
+    360: [105, 106, 107, 108, 109, 110, 111, 112],
+    370: [107, 108, 109, 110, 111, 112, 113, 114],
+    380: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    390: [113, 114, 115, 116, 117],
+    400: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    410: [118, 119, 120, 121, 122, 123, 124, 125],
+    420: [119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    430: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    440: [136, 137, 138, 139, 140, 141]
+  },
+  90: {
+    0: [91, 93],
+    10: [91, 93, 94],
+    20: [91, 93, 94],
+    30: [91, 93, 94],
+    40: [91, 93, 94],
+    50: [91, 93, 94],
+    60: [91, 93, 94],
+    70: [91, 93, 94],
+    80: [91, 93, 94, 95],
+    90: [91, 93, 94, 95],
+    100: [91, 94, 95],
+    110: [91, 93, 94, 95],
+    120: [91, 93, 94, 95],
+    130: [91, 94, 95],
+    140: [91, 94, 95],
+    150: [91, 94, 95, 96],
+    160: [91, 94, 95, 96],
+    170: [91, 94, 95, 96],
+    180: [91, 94, 95, 96, 97],
+    190: [91, 95, 96],
+    200: [91, 94, 95, 96, 97],
+    210: [91, 95, 96, 97],
+    220: [91, 95, 96, 97, 98],
+    230: [91, 95, 96, 97, 98],
+    240: [91, 95, 96, 97, 98],
+    250: [91, 95, 96, 97, 98, 99],
+    260: [91, 96, 97, 98, 99],
+    270: [91, 96, 97, 98, 99, 100],
+    280: [91, 97, 98, 99],
+    290: [91, 96, 97, 98, 99, 100, 101],
+    300: [91, 99, 100],
+    310: [91, 97, 98, 99, 100, 101, 102, 103],
+    320: [91, 100, 101],
+    330: [91, 98, 99, 100, 101, 102, 103, 104, 105],
+    340: [91, 101, 102, 103],
+    350: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    360: [91, 102, 103, 104, 105, 106],
+    370: [91, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    380: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    390: [91, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    400: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    410: [91, 112, 113, 114, 115, 116, 117, 118],
+    420: [91, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    430: [91, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91]
+  },
+  100: {
+    0: [91, 92],
+    10: [91, 92, 93],
+    20: [91, 92, 93],
+    30: [91, 92, 93],
+    40: [91, 92, 93],
+    50: [91, 92, 93],
+    60: [91, 92, 93],
+    70: [91, 92, 93],
+    80: [91, 92, 93],
+    90: [91, 92, 93],
+    100: [91, 92, 93],
+    110: [91, 92, 93, 94],
+    120: [91, 92, 93, 94],
+    130: [91, 92, 93, 94],
+    140: [91, 92, 93, 94],
+    150: [91, 92, 93, 94],
+    160: [91, 93, 94],
+    170: [91, 92, 93, 94],
+    180: [91, 92, 93, 94, 95],
+    190: [91, 93, 94],
+    200: [91, 92, 93, 94, 95],
+    210: [91, 93, 94, 95],
+    220: [91, 93, 94, 95, 96],
+    230: [91, 93, 94, 95, 96],
+    240: [91, 93, 94, 95, 96],
+    250: [91, 93, 94, 95, 96, 97],
+    260: [91, 94, 95, 96],
+    270: [91, 93, 94, 95, 96, 97],
+    280: [91, 95, 96],
+    290: [91, 93, 94, 95, 96, 97, 98],
+    300: [91, 95, 96, 97],
+    310: [94, 95, 96, 97, 98, 99],
+    320: [91, 96, 97, 98],
+    330: [91, 94, 95, 96, 97, 98, 99, 100, 101],
+    340: [98, 99],
+    350: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    360: [91],
+    370: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    380: [100, 101, 102, 103, 104],
+    390: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    400: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    410: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    420: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    430: [91],
+    450: [91],
+    460: [91]
+  },
+  110: {
+    0: [91],
+    10: [91],
+    20: [91, 92],
+    30: [91, 92],
+    40: [91, 92],
+    50: [91, 92],
+    60: [91, 92],
+    70: [91, 92],
+    80: [91, 92],
+    90: [91, 92],
+    100: [91, 92],
+    110: [91, 92],
+    120: [91, 92],
+    130: [91, 92],
+    140: [91, 92],
+    150: [91, 92, 93],
+    160: [91, 92, 93],
+    170: [91, 92, 93],
+    180: [91, 92, 93],
+    190: [91, 92],
+    200: [91, 92, 93],
+    210: [91, 92, 93],
+    220: [91, 92, 93],
+    230: [91, 92, 93, 94],
+    240: [91, 92, 93],
+    250: [91, 92, 93, 94],
+    260: [92, 93],
+    270: [91, 92, 93, 94, 95],
+    280: [92, 93, 94],
+    290: [91, 92, 93, 94, 95],
+    300: [92, 93, 94, 95],
+    310: [91, 92, 93, 94, 95, 96],
+    320: [92, 93, 94, 95],
+    330: [91, 92, 93, 94, 95, 96, 97],
+    340: [92, 93, 94, 95, 96],
+    350: [91, 92, 93, 94, 95, 96, 97, 98],
+    360: [94, 95, 96],
+    370: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    390: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    400: [95, 96, 97, 98, 99, 100],
+    410: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    420: [93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107]
+  },
+  120: {
+    0: [90],
+    10: [90],
+    20: [89, 90, 91],
+    30: [89, 90, 91],
+    40: [89, 90, 91],
+    50: [89, 90, 91],
+    60: [89, 90, 91],
+    70: [89, 90, 91],
+    80: [89, 90, 91],
+    90: [89, 90, 91],
+    100: [89, 90, 91],
+    110: [89, 90, 91],
+    120: [89, 90, 91],
+    130: [89, 90, 91],
+    140: [89, 90, 91],
+    150: [89, 90, 91],
+    160: [89, 90, 91],
+    170: [89, 90, 91],
+    180: [89, 90, 91],
+    190: [89, 90, 91],
+    200: [89, 90, 91],
+    210: [89, 90, 91],
+    220: [89, 90, 91],
+    230: [88, 89, 90, 91, 92],
+    240: [89, 90, 91],
+    250: [88, 89, 90, 91, 92],
+    260: [89, 90, 91],
+    270: [88, 89, 90, 91, 92],
+    280: [89, 90, 91],
+    290: [88, 89, 90, 91, 92],
+    300: [88, 89, 90, 91, 92],
+    310: [87, 88, 89, 90, 91, 92, 93],
+    320: [88, 89, 90, 91, 92],
+    330: [87, 88, 89, 90, 91, 92, 93],
+    340: [88, 89, 90, 91, 92],
+    350: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    360: [88, 89, 90, 91, 92],
+    370: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    380: [90],
+    390: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    400: [88, 89, 90, 91, 92],
+    410: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    420: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    430: [90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90]
+  },
+  130: {
+    0: [89],
+    10: [89],
+    20: [88, 89],
+    30: [88, 89],
+    40: [88, 89],
+    50: [88, 89],
+    60: [88, 89],
+    70: [88, 89],
+    80: [88, 89],
+    90: [88, 89],
+    100: [88, 89],
+    110: [88, 89],
+    120: [88, 89],
+    130: [88, 89],
+    140: [88, 89],
+    150: [87, 88, 89],
+    160: [87, 88, 89],
+    170: [87, 88, 89],
+    180: [87, 88, 89],
+    190: [88, 89],
+    200: [87, 88, 89],
+    210: [87, 88, 89],
+    220: [87, 88, 89],
+    230: [86, 87, 88, 89],
+    240: [87, 88, 89],
+    250: [86, 87, 88, 89],
+    260: [87, 88],
+    270: [85, 86, 87, 88, 89],
+    280: [86, 87, 88],
+    290: [85, 86, 87, 88, 89],
+    300: [85, 86, 87, 88],
+    310: [84, 85, 86, 87, 88, 89],
+    320: [85, 86, 87, 88],
+    330: [83, 84, 85, 86, 87, 88, 89],
+    340: [84, 85, 86, 87, 88],
+    350: [82, 83, 84, 85, 86, 87, 88, 89],
+    360: [84, 85, 86],
+    370: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    390: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    400: [80, 81, 82, 83, 84, 85],
+    410: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    420: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87]
+  },
+  140: {
+    0: [88, 89],
+    10: [87, 88, 89],
+    20: [87, 88, 89],
+    30: [87, 88, 89],
+    40: [87, 88, 89],
+    50: [87, 88, 89],
+    60: [87, 88, 89],
+    70: [87, 88, 89],
+    80: [87, 88, 89],
+    90: [87, 88, 89],
+    100: [87, 88, 89],
+    110: [86, 87, 88, 89],
+    120: [86, 87, 88, 89],
+    130: [86, 87, 88, 89],
+    140: [86, 87, 88, 89],
+    150: [86, 87, 88, 89],
+    160: [86, 87, 89],
+    170: [86, 87, 88, 89],
+    180: [85, 86, 87, 88, 89],
+    190: [86, 87, 89],
+    200: [85, 86, 87, 88, 89],
+    210: [85, 86, 87, 89],
+    220: [84, 85, 86, 87, 89],
+    230: [84, 85, 86, 87, 89],
+    240: [84, 85, 86, 87, 89],
+    250: [83, 84, 85, 86, 87, 89],
+    260: [84, 85, 86, 89],
+    270: [83, 84, 85, 86, 87, 89],
+    280: [84, 85, 89],
+    290: [82, 83, 84, 85, 86, 87, 89],
+    300: [83, 84, 85, 89],
+    310: [81, 82, 83, 84, 85, 86],
+    320: [82, 83, 84, 89],
+    330: [79, 80, 81, 82, 83, 84, 85, 86, 89],
+    340: [81, 82],
+    350: [77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    360: [89],
+    370: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    380: [76, 77, 78, 79, 80],
+    390: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    400: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    410: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
+    420: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    430: [89],
+    450: [89],
+    460: [89]
+  },
+  150: {
+    0: [87, 89],
+    10: [86, 87, 89],
+    20: [86, 87, 89],
+    30: [86, 87, 89],
+    40: [86, 87, 89],
+    50: [86, 87, 89],
+    60: [86, 87, 89],
+    70: [86, 87, 89],
+    80: [85, 86, 87, 89],
+    90: [85, 86, 87, 89],
+    100: [85, 86, 89],
+    110: [85, 86, 87, 89],
+    120: [85, 86, 87, 89],
+    130: [85, 86, 89],
+    140: [85, 86, 89],
+    150: [84, 85, 86, 89],
+    160: [84, 85, 86, 89],
+    170: [84, 85, 86, 89],
+    180: [83, 84, 85, 86, 89],
+    190: [84, 85, 89],
+    200: [83, 84, 85, 86, 89],
+    210: [83, 84, 85, 89],
+    220: [82, 83, 84, 85, 89],
+    230: [82, 83, 84, 85, 89],
+    240: [82, 83, 84, 85, 89],
+    250: [81, 82, 83, 84, 85, 89],
+    260: [81, 82, 83, 84, 89],
+    270: [80, 81, 82, 83, 84, 89],
+    280: [81, 82, 83, 89],
+    290: [79, 80, 81, 82, 83, 84, 89],
+    300: [80, 81, 89],
+    310: [77, 78, 79, 80, 81, 82, 83, 89],
+    320: [79, 80, 89],
+    330: [75, 76, 77, 78, 79, 80, 81, 82, 89],
+    340: [77, 78, 79, 89],
+    350: [73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    360: [74, 75, 76, 77, 78, 89],
+    370: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 89],
+    380: [69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    390: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 89],
+    400: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    410: [62, 63, 64, 65, 66, 67, 68, 89],
+    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 89],
+    430: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89]
+  },
+  160: {
+    0: [86, 88],
+    10: [85, 86, 88],
+    20: [85, 86, 88],
+    30: [85, 86, 88],
+    40: [85, 86],
+    50: [85, 86],
+    60: [85, 86],
+    70: [84, 85, 86],
+    80: [84, 85, 86],
+    90: [84, 85],
+    100: [84, 85],
+    110: [84, 85],
+    120: [83, 84, 85],
+    130: [83, 84, 85],
+    140: [83, 84, 85],
+    150: [83, 84, 85],
+    160: [83, 84],
+    170: [82, 83, 84],
+    180: [82, 83, 84],
+    190: [82, 83, 84],
+    200: [81, 82, 83, 84],
+    210: [81, 82, 83],
+    220: [80, 81, 82, 83],
+    230: [80, 81, 82, 83],
+    240: [79, 80, 81, 82, 83],
+    250: [79, 80, 81, 82],
+    260: [79, 80, 81, 82],
+    270: [77, 78, 79, 80, 81],
+    280: [77, 78, 79, 80],
+    290: [76, 77, 78, 79, 80, 81],
+    300: [76, 77, 78, 79],
+    310: [74, 75, 76, 77, 78, 79, 80],
+    320: [74, 75, 76, 77, 78],
+    330: [72, 73, 74, 75, 76, 77, 78],
+    340: [72, 73, 74, 75, 76],
+    350: [69, 70, 71, 72, 73, 74, 75, 76],
+    360: [68, 69, 70, 71, 72, 73, 74, 75],
+    370: [66, 67, 68, 69, 70, 71, 72, 73],
+    380: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
+    390: [63, 64, 65, 66, 67],
+    400: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    410: [55, 56, 57, 58, 59, 60, 61, 62],
+    420: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    430: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    440: [39, 40, 41, 42, 43, 44]
+  },
+  170: {
+    0: [85, 86, 88],
+    10: [84, 85, 88],
+    20: [84, 85, 88],
+    30: [84, 85, 88],
+    40: [84, 85, 88],
+    50: [84, 85, 88],
+    60: [84, 85, 88],
+    70: [83, 84, 85, 88],
+    80: [83, 84, 88],
+    90: [83, 84, 88],
+    100: [83, 84, 88],
+    110: [82, 83, 84, 88],
+    120: [82, 83, 84, 88],
+    130: [82, 83, 88],
+    140: [81, 82, 83, 88],
+    150: [81, 82, 83, 88],
+    160: [81, 82, 83, 88],
+    170: [80, 81, 82, 83, 88],
+    180: [80, 81, 82, 88],
+    190: [80, 81, 82, 88],
+    200: [79, 80, 81, 82, 88],
+    210: [79, 80, 81, 88],
+    220: [78, 79, 80, 81, 88],
+    230: [78, 79, 80, 88],
+    240: [77, 78, 79, 80, 88],
+    250: [77, 78, 79, 80, 88],
+    260: [76, 77, 78, 79, 88],
+    270: [75, 76, 77, 78, 79, 88],
+    280: [74, 75, 76, 77, 78, 88],
+    290: [73, 74, 75, 76, 77, 78, 88],
+    300: [73, 74, 75, 76, 77, 88],
+    310: [71, 72, 73, 74, 75, 76, 88],
+    320: [70, 71, 72, 73, 74, 75, 88],
+    330: [69, 70, 71, 72, 73, 74, 88],
+    340: [67, 68, 69, 70, 71, 72, 73, 88],
+    350: [66, 67, 68, 69, 70, 71, 88],
+    360: [63, 64, 65, 66, 67, 68, 69, 70, 71, 88],
+    370: [88],
+    380: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 88],
+    390: [57, 58, 59, 60, 61, 62, 63, 88],
+    400: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    410: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    420: [88],
+    430: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 88],
+    440: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    450: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 88],
+    460: [88],
+    480: [88]
+  },
+  180: {
+    0: [84, 85],
+    10: [83, 84],
+    20: [83, 84],
+    30: [83, 84],
+    40: [83, 84, 88],
+    50: [83, 84, 88],
+    60: [82, 83, 84, 88],
+    70: [82, 83, 88],
+    80: [82, 83, 88],
+    90: [82, 83, 88],
+    100: [81, 82, 83, 88],
+    110: [81, 82, 83, 88],
+    120: [81, 82, 88],
+    130: [80, 81, 82, 88],
+    140: [80, 81, 82, 88],
+    150: [80, 81, 88],
+    160: [79, 80, 81, 88],
+    170: [79, 80, 81, 88],
+    180: [79, 80, 88],
+    190: [78, 79, 80, 88],
+    200: [77, 78, 79, 80, 88],
+    210: [77, 78, 79, 88],
+    220: [76, 77, 78, 79, 88],
+    230: [76, 77, 78, 88],
+    240: [75, 76, 77, 78, 88],
+    250: [75, 76, 77, 88],
+    260: [73, 74, 75, 76, 77, 88],
+    270: [73, 74, 75, 76, 88],
+    280: [72, 73, 74, 75, 76, 88],
+    290: [71, 72, 73, 74, 88],
+    300: [69, 70, 71, 72, 73, 74, 88],
+    310: [69, 70, 71, 72, 88],
+    320: [67, 68, 69, 70, 71, 72, 88],
+    330: [67, 68, 69, 88],
+    340: [63, 64, 65, 66, 67, 68, 69, 70, 88],
+    350: [64, 65, 66, 88],
+    360: [59, 60, 61, 62, 63, 64, 65, 66, 67, 88],
+    370: [58, 59, 60, 61, 62, 63, 64, 88],
+    380: [55, 56, 57, 58, 59, 60, 61, 62, 88],
+    390: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 88],
+    400: [88],
+    410: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 88],
+    420: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 88],
+    430: [36, 37, 38, 88],
+    440: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 88],
+    450: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 88],
+    460: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 88, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 88, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [345, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355],
+    500: [345, 346]
+  },
+  190: {
+    0: [83, 84, 87],
+    10: [82, 83, 87],
+    20: [82, 83, 87],
+    30: [82, 83, 87],
+    40: [82, 83, 87],
+    50: [82, 83, 87],
+    60: [81, 82, 87],
+    70: [81, 82, 87],
+    80: [81, 82, 87],
+    90: [81, 82, 87],
+    100: [80, 81, 87],
+    110: [80, 81, 87],
+    120: [79, 80, 81, 87],
+    130: [79, 80, 81, 87],
+    140: [78, 79, 80],
+    150: [78, 79, 80],
+    160: [78, 79, 80],
+    170: [77, 78, 79],
+    180: [77, 78, 79],
+    190: [76, 77, 78, 79],
+    200: [76, 77, 78],
+    210: [75, 76, 77, 78],
+    220: [74, 75, 76, 77],
+    230: [74, 75, 76],
+    240: [73, 74, 75, 76],
+    250: [73, 74, 75],
+    260: [71, 72, 73, 74, 75],
+    270: [71, 72, 73],
+    280: [69, 70, 71, 72, 73],
+    290: [69, 70, 71],
+    300: [67, 68, 69, 70, 71],
+    310: [67, 68, 69],
+    320: [64, 65, 66, 67, 68, 69],
+    330: [63, 64, 65, 66, 67],
+    340: [60, 61, 62, 63, 64, 65, 66],
+    350: [59, 60, 61, 62, 63, 64, 65],
+    360: [57, 58, 59, 60, 61, 62],
+    370: [53, 54, 55, 56, 57, 58, 59, 60, 61],
+    380: [53, 54, 55, 56],
+    390: [47, 48, 49, 50, 51, 52, 53, 54, 55],
+    400: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    420: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    430: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39],
+    440: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
+    460: [9, 10, 11, 12, 13, 14, 15, 16],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 359],
+    480: [0, 1, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [345, 346, 347, 348, 349, 350, 351, 352]
+  },
+  200: {
+    0: [82, 83, 87],
+    10: [81, 82, 87],
+    20: [81, 82, 87],
+    30: [81, 82, 87],
+    40: [81, 82, 87],
+    50: [80, 81, 87],
+    60: [80, 81, 87],
+    70: [80, 81, 87],
+    80: [79, 80, 81, 87],
+    90: [79, 80, 87],
+    100: [79, 80, 87],
+    110: [78, 79, 80, 87],
+    120: [78, 79, 87],
+    130: [77, 78, 79, 87],
+    140: [77, 78, 79, 87],
+    150: [77, 78, 87],
+    160: [76, 77, 78, 87],
+    170: [76, 77, 87],
+    180: [75, 76, 77, 87],
+    190: [74, 75, 76, 77, 87],
+    200: [74, 75, 76, 87],
+    210: [73, 74, 75, 76, 87],
+    220: [73, 74, 75, 87],
+    230: [72, 73, 74, 75, 87],
+    240: [71, 72, 73, 74, 87],
+    250: [70, 71, 72, 73, 87],
+    260: [69, 70, 71, 72, 87],
+    270: [68, 69, 70, 71, 87],
+    280: [67, 68, 69, 70, 71, 87],
+    290: [66, 67, 68, 69, 70, 87],
+    300: [64, 65, 66, 67, 68, 87],
+    310: [63, 64, 65, 66, 67, 87],
+    320: [62, 63, 64, 65, 66, 87],
+    330: [59, 60, 61, 62, 63, 64, 65, 87],
+    340: [59, 60, 61, 87],
+    350: [55, 56, 57, 58, 59, 60, 61, 62, 87],
+    360: [54, 55, 56, 57, 58, 87],
+    370: [50, 51, 52, 53, 54, 55, 56, 57, 87],
+    380: [47, 48, 49, 50, 51, 52, 53, 54, 87],
+    390: [87],
+    400: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 87],
+    410: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 87],
+    420: [34, 35, 36, 87],
+    430: [26, 27, 28, 29, 30, 31, 32, 33, 34, 87],
+    440: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30],
+    450: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 87],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 359],
+    480: [0, 1, 2, 87, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [350, 351, 352, 353, 354, 355, 356]
+  },
+  210: {
+    0: [81, 82, 86],
+    10: [80, 81, 86],
+    20: [80, 81, 86],
+    30: [80, 81],
+    40: [80, 81],
+    50: [79, 80],
+    60: [79, 80],
+    70: [79, 80],
+    80: [78, 79],
+    90: [78, 79],
+    100: [77, 78, 79],
+    110: [77, 78],
+    120: [77, 78],
+    130: [76, 77, 78],
+    140: [76, 77],
+    150: [75, 76, 77],
+    160: [74, 75, 76, 77],
+    170: [74, 75, 76, 87],
+    180: [73, 74, 75, 76, 87],
+    190: [73, 74, 75, 87],
+    200: [72, 73, 74, 87],
+    210: [71, 72, 73, 74, 87],
+    220: [71, 72, 73, 87],
+    230: [70, 71, 72, 73, 87],
+    240: [70, 71, 87],
+    250: [68, 69, 70, 71, 87],
+    260: [68, 69, 87],
+    270: [66, 67, 68, 69, 87],
+    280: [65, 66, 67, 87],
+    290: [63, 64, 65, 66, 67, 87],
+    300: [63, 64, 87],
+    310: [60, 61, 62, 63, 64, 65, 87],
+    320: [60, 61, 62, 87],
+    330: [57, 58, 59, 60, 61, 62, 87],
+    340: [55, 56, 57, 58, 59, 60, 87],
+    350: [53, 54, 55, 56, 57, 58, 87],
+    360: [50, 51, 52, 53, 54, 55, 56, 87],
+    370: [87],
+    380: [44, 45, 46, 47, 48, 49, 50, 51, 87],
+    390: [41, 42, 43, 44, 45, 46, 47, 48, 87],
+    400: [87],
+    410: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 87],
+    420: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 87],
+    430: [24, 25, 26, 27, 28, 29, 30, 31, 87],
+    440: [87],
+    450: [13, 14, 15, 16, 17, 18, 19, 87],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 87, 359],
+    480: [0, 1, 2, 3, 87, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [350, 351, 352, 353, 354, 355, 356]
+  },
+  220: {
+    0: [80, 81, 86],
+    10: [80, 86],
+    20: [79, 80, 86],
+    30: [79, 80, 86],
+    40: [78, 79, 80, 86],
+    50: [78, 79, 86],
+    60: [78, 79, 86],
+    70: [77, 78, 86],
+    80: [77, 78, 86],
+    90: [77, 78, 86],
+    100: [76, 77, 78, 86],
+    110: [76, 77, 86],
+    120: [75, 76, 77, 86],
+    130: [75, 76, 86],
+    140: [75, 76, 86],
+    150: [74, 75, 76, 86],
+    160: [73, 74, 75, 86],
+    170: [73, 74, 86],
+    180: [72, 73, 74, 86],
+    190: [71, 72, 73, 86],
+    200: [70, 71, 72, 73],
+    210: [70, 71, 72],
+    220: [69, 70, 71],
+    230: [68, 69, 70, 71],
+    240: [67, 68, 69, 70],
+    250: [66, 67, 68, 69],
+    260: [65, 66, 67, 68],
+    270: [64, 65, 66, 67],
+    280: [63, 64, 65, 66],
+    290: [61, 62, 63, 64, 65],
+    300: [60, 61, 62, 63],
+    310: [58, 59, 60, 61, 62],
+    320: [56, 57, 58, 59, 60, 61],
+    330: [55, 56, 57, 58],
+    340: [52, 53, 54, 55, 56, 57],
+    350: [51, 52, 53, 54],
+    360: [47, 48, 49, 50, 51, 52, 53],
+    370: [44, 45, 46, 47, 48, 49, 50, 51],
+    390: [38, 39, 40, 41, 42, 43, 44, 45],
+    400: [34, 35, 36, 37, 38, 39, 40, 41, 42],
+    410: [33, 34, 35, 36],
+    420: [27, 28, 29, 30, 31, 32, 33],
+    430: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30],
+    440: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25],
+    450: [11, 12, 13, 14, 15, 16, 17, 18, 19],
+    460: [6, 7, 8, 9, 10, 11, 12, 13],
+    470: [1, 2, 3, 4, 5, 6, 7],
+    480: [0, 1, 355, 356, 357, 358, 359],
+    490: [352, 353, 354, 355, 356]
+  },
+  230: {
+    0: [79, 80],
+    10: [79],
+    20: [78, 79],
+    30: [78, 79],
+    40: [77, 78, 79, 86],
+    50: [77, 78, 86],
+    60: [77, 78, 86],
+    70: [76, 77, 86],
+    80: [76, 77, 86],
+    90: [75, 76, 77, 86],
+    100: [75, 76, 86],
+    110: [75, 76, 86],
+    120: [74, 75, 76, 86],
+    130: [73, 74, 75, 86],
+    140: [73, 74, 75, 86],
+    150: [72, 73, 74, 86],
+    160: [72, 73, 86],
+    170: [71, 72, 73, 86],
+    180: [70, 71, 72, 86],
+    190: [70, 71, 72, 86],
+    200: [69, 70, 71, 86],
+    210: [69, 70, 86],
+    220: [67, 68, 69, 70, 86],
+    230: [67, 68, 86],
+    240: [65, 66, 67, 68, 86],
+    250: [64, 65, 66, 67, 86],
+    260: [63, 64, 65, 66, 86],
+    270: [62, 63, 64, 86],
+    280: [60, 61, 62, 63, 64, 86],
+    290: [60, 61, 62, 86],
+    300: [57, 58, 59, 60, 61, 86],
+    310: [57, 58, 59, 86],
+    320: [54, 55, 56, 57, 58, 86],
+    330: [52, 53, 54, 55, 56, 86],
+    340: [50, 51, 52, 53, 54, 86],
+    350: [47, 48, 49, 50, 51, 52, 53, 86],
+    360: [47, 48, 86],
+    370: [42, 43, 44, 45, 46, 47, 48, 86],
+    380: [39, 40, 41, 42, 43, 44, 45, 86],
+    390: [39, 86],
+    400: [32, 33, 34, 35, 36, 37, 38, 39, 86],
+    410: [28, 29, 30, 31, 32, 33, 34, 35, 36, 86],
+    420: [24, 25, 26, 27, 28, 29, 30, 31, 86],
+    430: [23, 24, 86],
+    440: [16, 17, 18, 19, 20, 21, 86],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 86],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 86, 359],
+    480: [0, 1, 2, 3, 86, 354, 355, 356, 357, 358, 359],
+    490: [352, 353, 354, 355, 356, 357, 358],
+    500: [352]
+  },
+  240: {
+    0: [78, 79, 85],
+    10: [78, 79, 85],
+    20: [77, 78, 85],
+    30: [77, 78, 85],
+    40: [76, 77, 85],
+    50: [76, 77, 85],
+    60: [76, 77, 85],
+    70: [75, 76, 85],
+    80: [75, 76, 85],
+    90: [74, 75],
+    100: [74, 75],
+    110: [73, 74, 75],
+    120: [73, 74],
+    130: [72, 73, 74],
+    140: [71, 72, 73],
+    150: [71, 72, 73],
+    160: [70, 71, 72],
+    170: [69, 70, 71, 72],
+    180: [69, 70],
+    190: [68, 69, 70],
+    200: [67, 68, 69],
+    210: [66, 67, 68, 69],
+    220: [65, 66, 67, 68],
+    230: [65, 66, 67, 86],
+    240: [63, 64, 65, 66, 86],
+    250: [63, 64, 65],
+    260: [61, 62, 63, 64],
+    270: [60, 61, 62, 63, 86],
+    280: [58, 59, 60, 61, 62, 86],
+    290: [57, 58, 59, 60, 86],
+    300: [55, 56, 57, 58, 59, 86],
+    310: [54, 55, 56, 57, 58, 86],
+    320: [52, 53, 54, 55, 86],
+    330: [49, 50, 51, 52, 53, 54, 86],
+    340: [49, 50, 51, 86],
+    350: [45, 46, 47, 48, 49, 50, 86],
+    360: [43, 44, 45, 46, 47, 48, 86],
+    370: [43, 86],
+    380: [37, 38, 39, 40, 41, 42, 43, 86],
+    390: [33, 34, 35, 36, 37, 38, 39, 40, 86],
+    400: [32, 33, 34, 35, 86],
+    410: [28, 29, 30, 31, 86],
+    420: [22, 23, 24, 25, 26, 27, 28, 29, 86],
+    430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 86],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 86],
+    450: [10, 11, 12, 13, 14, 15, 16, 86],
+    460: [7, 8, 9, 10, 86],
+    470: [3, 4, 5, 86],
+    480: [0, 86, 358, 359],
+    490: [86, 354, 355, 356]
+  },
+  250: {
+    0: [77, 78, 85],
+    10: [77, 78, 85],
+    20: [76, 77, 85],
+    30: [76, 77, 85],
+    40: [75, 76, 85],
+    50: [75, 76, 85],
+    60: [75, 76, 85],
+    70: [74, 75, 85],
+    80: [74, 75, 85],
+    90: [73, 74, 85],
+    100: [73, 74, 85],
+    110: [72, 73, 74, 85],
+    120: [72, 73, 85],
+    130: [71, 72, 85],
+    140: [70, 71, 72, 85],
+    150: [70, 71, 85],
+    160: [69, 70, 71, 85],
+    170: [68, 69, 70, 85],
+    180: [68, 69, 85],
+    190: [66, 67, 68, 69, 85],
+    200: [66, 67, 85],
+    210: [65, 66, 67, 85],
+    220: [64, 65, 66, 85],
+    230: [63, 64, 65, 85],
+    240: [62, 63, 64, 85],
+    250: [60, 61, 62, 63],
+    260: [60, 61, 62, 85],
+    270: [58, 59, 60, 61, 85],
+    280: [57, 58, 59],
+    290: [55, 56, 57, 58, 59],
+    300: [55, 56],
+    310: [51, 52, 53, 54, 55, 56],
+    320: [50, 51, 52, 53, 54],
+    330: [48, 49, 50, 51],
+    340: [45, 46, 47, 48, 49, 50],
+    350: [45, 46, 47],
+    360: [41, 42, 43, 44, 45],
+    370: [38, 39, 40, 41, 42, 43],
+    380: [37, 38, 39],
+    390: [32, 33, 34, 35, 36, 37],
+    400: [28, 29, 30, 31, 32, 33, 34, 35],
+    410: [25, 26, 27, 28, 29, 30, 31],
+    420: [23, 24, 25, 26],
+    430: [19, 20, 21, 22],
+    440: [13, 14, 15, 16, 17, 18, 19],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12],
+    470: [0, 1, 2, 3, 4, 5, 6, 7],
+    480: [0, 1, 2, 3, 355, 356, 357, 358, 359],
+    490: [354, 355, 356, 357, 358, 359],
+    500: [354]
+  },
+  260: {
+    0: [76, 77, 84],
+    10: [76, 77, 84],
+    20: [75, 76, 84],
+    30: [75, 76, 84],
+    40: [75],
+    50: [74, 75],
+    60: [73, 74, 75],
+    70: [73, 74],
+    80: [73, 74],
+    90: [72, 73],
+    100: [71, 72, 73],
+    110: [71, 72],
+    120: [70, 71, 72],
+    130: [70, 71, 85],
+    140: [69, 70, 85],
+    150: [68, 69, 70, 85],
+    160: [67, 68, 69, 85],
+    170: [67, 68, 85],
+    180: [66, 67, 68, 85],
+    190: [65, 66, 67, 85],
+    200: [64, 65, 66, 85],
+    210: [63, 64, 65, 85],
+    220: [62, 63, 64, 65, 85],
+    230: [61, 62, 63, 64, 85],
+    240: [60, 61, 62, 85],
+    250: [59, 60, 61, 62, 85],
+    260: [58, 59, 60, 85],
+    270: [56, 57, 58, 59, 85],
+    280: [55, 56, 57, 58, 85],
+    290: [53, 54, 55, 56, 85],
+    300: [51, 52, 53, 54, 55, 85],
+    310: [51, 52, 85],
+    320: [48, 49, 50, 51, 52, 85],
+    330: [47, 48, 49, 85],
+    340: [44, 45, 46, 47, 48, 85],
+    350: [41, 42, 43, 44, 45, 46, 85],
+    360: [40, 41, 42, 85],
+    370: [36, 37, 38, 39, 40, 41, 85],
+    380: [33, 34, 35, 36, 37, 38, 39, 85],
+    390: [31, 32, 33, 34, 35, 85],
+    400: [29, 30, 85],
+    410: [24, 25, 26, 27, 28, 29, 85],
+    420: [20, 21, 22, 23, 24, 25, 26, 85],
+    430: [16, 17, 18, 19, 20, 21, 22, 23, 85],
+    440: [13, 14, 15, 16, 17, 18, 85],
+    450: [10, 11, 12, 13, 85],
+    460: [85],
+    470: [85],
+    480: [85]
+  },
+  270: {
+    0: [75, 76, 84],
+    10: [75, 76, 84],
+    20: [74, 75, 84],
+    30: [74, 75, 84],
+    40: [73, 74, 75, 84],
+    50: [73, 74, 84],
+    60: [72, 73, 74, 84],
+    70: [72, 73, 84],
+    80: [72, 73, 84],
+    90: [71, 72, 84],
+    100: [70, 71, 72, 84],
+    110: [70, 71, 84],
+    120: [69, 70, 71, 84],
+    130: [68, 69, 70, 84],
+    140: [68, 69, 84],
+    150: [67, 68, 69, 84],
+    160: [66, 67, 68],
+    170: [65, 66, 67],
+    180: [64, 65, 66, 67],
+    190: [64, 65, 66],
+    200: [63, 64, 65],
+    210: [62, 63],
+    220: [61, 62, 63],
+    230: [60, 61],
+    240: [58, 59, 60, 61],
+    250: [58, 59],
+    260: [56, 57, 58, 59],
+    270: [55, 56, 57],
+    280: [53, 54, 55, 56],
+    290: [52, 53, 54],
+    300: [50, 51, 52, 53, 85],
+    310: [48, 49, 50, 51, 52, 85],
+    320: [47, 48, 49, 85],
+    330: [44, 45, 46, 47, 48],
+    340: [43, 44, 45, 46, 85],
+    350: [40, 41, 42, 43, 85],
+    360: [37, 38, 39, 40, 41, 42, 85],
+    370: [35, 36, 37, 38, 39, 85],
+    380: [32, 33, 34, 35, 36, 85],
+    390: [29, 30, 31, 32, 33, 34, 85],
+    400: [26, 27, 28, 29, 30, 31, 85],
+    410: [24, 25, 26, 27, 85],
+    420: [21, 22, 85],
+    430: [16, 17, 18, 19, 20, 21, 85],
+    440: [12, 13, 14, 15, 16, 17, 18, 85],
+    450: [8, 9, 10, 11, 12, 13, 14, 85],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 85],
+    480: [0, 1, 2, 3, 85, 357, 358, 359],
+    490: [85, 356, 357, 358, 359]
+  },
+  280: {
+    0: [74, 75, 83],
+    10: [74, 75],
+    20: [74],
+    30: [73, 74],
+    40: [72, 73, 74],
+    50: [72, 73, 84],
+    60: [72, 73, 84],
+    70: [71, 72, 84],
+    80: [70, 71, 72, 84],
+    90: [70, 71, 84],
+    100: [69, 70, 84],
+    110: [69, 70, 84],
+    120: [68, 69, 84],
+    130: [67, 68, 69, 84],
+    140: [66, 67, 68, 84],
+    150: [66, 67, 84],
+    160: [65, 66, 67, 84],
+    170: [64, 65, 66, 84],
+    180: [63, 64, 65, 84],
+    190: [62, 63, 64, 84],
+    200: [61, 62, 63, 84],
+    210: [60, 61, 62, 63, 84],
+    220: [59, 60, 61, 84],
+    230: [58, 59, 60, 61, 84],
+    240: [57, 58, 59, 84],
+    250: [56, 57, 58, 84],
+    260: [54, 55, 56, 57, 84],
+    270: [53, 54, 55, 56, 84],
+    280: [52, 53, 54, 84],
+    290: [50, 51, 52, 53, 84],
+    300: [49, 50, 51, 84],
+    310: [46, 47, 48, 49, 50, 84],
+    320: [45, 46, 47, 48],
+    330: [43, 44, 45, 46],
+    340: [40, 41, 42, 43, 44],
+    350: [39, 40, 41, 42],
+    360: [36, 37, 38, 39],
+    370: [33, 34, 35, 36, 37, 38],
+    380: [31, 32, 33, 34, 35],
+    390: [30, 31],
+    400: [25, 26, 27, 28, 29],
+    410: [21, 22, 23, 24, 25, 26, 27],
+    420: [18, 19, 20, 21, 22, 23, 24],
+    430: [15, 16, 17, 18, 19, 20],
+    440: [13, 14, 15, 16],
+    460: [6, 7],
+    470: [2, 3, 4, 5],
+    480: [0, 1, 358, 359],
+    490: [356, 357]
+  },
+  290: {
+    0: [74, 83],
+    10: [73, 74, 83],
+    20: [73, 74, 83],
+    30: [72, 73, 83],
+    40: [72, 83],
+    50: [71, 72, 83],
+    60: [71, 72, 83],
+    70: [70, 71, 83],
+    80: [69, 70, 71, 83],
+    90: [69, 70, 83],
+    100: [68, 69],
+    110: [67, 68, 69],
+    120: [67, 68],
+    130: [66, 67, 68],
+    140: [65, 66, 67],
+    150: [65, 66],
+    160: [64, 65, 66],
+    170: [63, 64, 84],
+    180: [62, 63, 64, 84],
+    190: [61, 62, 63, 84],
+    200: [60, 61, 62, 84],
+    210: [59, 60, 61, 84],
+    220: [58, 59, 60, 84],
+    230: [57, 58, 59, 84],
+    240: [56, 57, 58, 84],
+    250: [54, 55, 56, 57, 84],
+    260: [53, 54, 55, 84],
+    270: [51, 52, 53, 54, 84],
+    280: [50, 51, 52, 53, 84],
+    290: [48, 49, 50, 51, 84],
+    300: [47, 48, 49, 50, 84],
+    310: [46, 47, 84],
+    320: [43, 44, 45, 46, 47, 84],
+    330: [41, 42, 43, 44, 45, 84],
+    340: [39, 40, 41, 42, 84],
+    350: [36, 37, 38, 39, 40, 41, 84],
+    360: [35, 36, 37, 38, 84],
+    370: [33, 34, 84],
+    380: [29, 30, 31, 32, 33, 84],
+    390: [26, 27, 28, 29, 30, 31, 84],
+    400: [24, 25, 26, 27, 28, 84],
+    410: [23, 24, 84],
+    420: [18, 19, 20, 21, 84],
+    430: [14, 15, 16, 17, 18, 19, 84],
+    440: [11, 12, 13, 14, 15, 16, 84],
+    450: [8, 9, 10, 11, 12, 13, 84],
+    460: [4, 5, 6, 7, 8, 9, 10, 84],
+    470: [1, 2, 3, 4, 5, 6, 84],
+    480: [0, 1, 2, 3, 84, 358, 359],
+    490: [0, 84, 357, 358, 359]
+  },
+  300: {
+    0: [73],
+    10: [72, 73, 83],
+    20: [72, 73, 83],
+    30: [71, 72, 83],
+    40: [71, 72, 83],
+    50: [70, 71, 83],
+    60: [70, 71, 83],
+    70: [69, 70, 83],
+    80: [68, 69, 83],
+    90: [68, 69, 83],
+    100: [67, 68, 83],
+    110: [66, 67, 68, 83],
+    120: [66, 67, 83],
+    130: [65, 66, 83],
+    140: [64, 65, 83],
+    150: [63, 64, 65, 83],
+    160: [62, 63, 64, 83],
+    170: [62, 63, 83],
+    180: [61, 62, 63, 83],
+    190: [60, 61, 83],
+    200: [59, 60, 61, 83],
+    210: [58, 59],
+    220: [57, 58, 59],
+    230: [55, 56, 57],
+    240: [54, 55, 56, 57],
+    250: [53, 54, 55],
+    260: [51, 52, 53, 54],
+    270: [51, 52],
+    280: [48, 49, 50, 51],
+    290: [47, 48, 49, 50],
+    300: [45, 46, 47, 48],
+    310: [43, 44, 45, 46, 47],
+    320: [43, 44],
+    330: [39, 40, 41, 42, 43],
+    340: [38, 39, 40, 41, 84],
+    350: [36, 37, 84],
+    360: [33, 34, 35, 36, 37],
+    370: [31, 32, 33, 34, 35, 84],
+    380: [29, 30, 31, 32, 84],
+    390: [26, 27, 28, 29, 84],
+    400: [23, 24, 25, 26, 27, 84],
+    410: [20, 21, 22, 23, 24, 25, 84],
+    420: [17, 18, 19, 20, 21, 22, 84],
+    430: [15, 16, 17, 18, 84],
+    440: [13, 14, 84],
+    450: [9, 10, 84],
+    460: [5, 6, 7, 8, 84],
+    470: [2, 3, 4, 5, 84],
+    480: [0, 1, 2, 84, 358, 359],
+    490: [84, 357, 358, 359]
+  },
+  310: {
+    0: [72, 73, 82],
+    10: [71, 72, 82],
+    20: [71, 72, 82],
+    30: [70, 71, 82],
+    40: [70, 71, 82],
+    50: [69, 70],
+    60: [69, 70],
+    70: [68, 69],
+    80: [67, 68, 69],
+    90: [67, 68],
+    100: [66, 67, 83],
+    110: [66, 67, 83],
+    120: [65, 66, 83],
+    130: [64, 65, 83],
+    140: [63, 64, 65, 83],
+    150: [62, 63, 64, 83],
+    160: [62, 63, 83],
+    170: [60, 61, 62, 83],
+    180: [60, 61, 83],
+    190: [59, 60, 83],
+    200: [57, 58, 59, 83],
+    210: [57, 58, 83],
+    220: [55, 56, 57, 83],
+    230: [54, 55, 56, 83],
+    240: [53, 54, 55, 83],
+    250: [52, 53, 54, 83],
+    260: [50, 51, 52, 83],
+    270: [49, 50, 51, 83],
+    280: [48, 49, 83],
+    290: [45, 46, 47, 48, 49, 83],
+    300: [45, 46, 47, 83],
+    310: [42, 43, 44, 45, 83],
+    320: [40, 41, 42, 43, 44, 83],
+    330: [40, 41, 83],
+    340: [36, 37, 38, 39, 40, 83],
+    350: [34, 35, 36, 37, 38],
+    360: [33, 34, 35],
+    370: [30, 31, 32, 33],
+    380: [27, 28, 29, 30, 31],
+    390: [25, 26, 27, 28, 29],
+    400: [23, 24, 25],
+    410: [20, 21, 22],
+    420: [16, 17, 18, 19, 20],
+    430: [13, 14, 15, 16, 17, 18],
+    440: [10, 11, 12, 13, 14, 15],
+    450: [7, 8, 9, 10, 11, 12],
+    460: [5, 6, 7, 8, 9],
+    470: [2, 3, 4, 5, 6],
+    480: [0, 1, 2, 3, 359],
+    490: [0, 358, 359]
+  },
+  320: {
+    0: [71, 72, 82],
+    10: [71, 82],
+    20: [70, 71, 82],
+    30: [69, 70, 82],
+    40: [69, 70, 82],
+    50: [68, 69, 82],
+    60: [68, 69, 82],
+    70: [67, 68, 82],
+    80: [66, 67, 68, 82],
+    90: [66, 67, 82],
+    100: [65, 66, 82],
+    110: [64, 65, 66, 82],
+    120: [64, 65, 82],
+    130: [63, 64],
+    140: [62, 63, 64],
+    150: [61, 62],
+    160: [60, 61, 62],
+    170: [59, 60, 61],
+    180: [59, 60],
+    190: [57, 58, 59],
+    200: [57, 58],
+    210: [55, 56, 57, 83],
+    220: [55, 56, 83],
+    230: [53, 54, 55, 83],
+    240: [52, 53, 54, 83],
+    250: [50, 51, 52, 53, 83],
+    260: [49, 50, 51, 83],
+    270: [47, 48, 49, 50, 83],
+    280: [46, 47, 48, 49, 83],
+    290: [45, 46, 83],
+    300: [43, 44, 45, 46, 83],
+    310: [42, 43, 44, 83],
+    320: [39, 40, 41, 42, 83],
+    330: [37, 38, 39, 40, 83],
+    340: [36, 37, 38, 83],
+    350: [33, 34, 35, 36, 83],
+    360: [31, 32, 33, 34, 35, 83],
+    370: [29, 30, 31, 32, 83],
+    380: [28, 83],
+    390: [24, 25, 26, 27, 83],
+    400: [21, 22, 23, 24, 25, 83],
+    410: [19, 20, 21, 22, 23, 83],
+    420: [16, 17, 18, 19, 20, 83],
+    430: [15, 16, 83],
+    440: [12, 83],
+    450: [8, 9, 10, 11, 83],
+    460: [5, 6, 7, 8, 83],
+    470: [2, 3, 4, 5, 6, 83],
+    480: [0, 1, 2, 3, 83, 359],
+    490: [0, 83, 358, 359]
+  },
+  330: {
+    0: [70, 71, 81],
+    10: [70, 71, 81],
+    20: [69, 70, 81],
+    30: [69, 70],
+    40: [68, 69],
+    50: [68, 69, 82],
+    60: [67, 68, 82],
+    70: [66, 67, 82],
+    80: [66, 67, 82],
+    90: [65, 66, 82],
+    100: [64, 65, 82],
+    110: [63, 64, 65, 82],
+    120: [63, 64, 82],
+    130: [62, 63, 82],
+    140: [61, 62, 82],
+    150: [60, 61, 62, 82],
+    160: [59, 60, 61, 82],
+    170: [59, 60, 82],
+    180: [57, 58, 59, 82],
+    190: [56, 57, 58, 82],
+    200: [55, 56, 57, 82],
+    210: [54, 55, 56, 82],
+    220: [53, 54, 55, 82],
+    230: [52, 53, 82],
+    240: [50, 51, 52, 53, 82],
+    250: [50, 51],
+    260: [48, 49, 50],
+    270: [47, 48, 49],
+    280: [45, 46, 47],
+    290: [43, 44, 45, 46],
+    300: [42, 43, 44],
+    310: [40, 41, 42, 43],
+    320: [38, 39, 40, 41],
+    330: [36, 37, 38, 39],
+    340: [34, 35, 36, 37],
+    350: [32, 33, 34, 35],
+    360: [31, 32],
+    370: [28, 29, 30, 31, 83],
+    380: [25, 26, 27, 28, 29, 83],
+    390: [23, 24, 25, 26, 27, 83],
+    400: [22, 23, 83],
+    410: [18, 19, 20, 21, 83],
+    420: [15, 16, 17, 18, 19, 83],
+    430: [13, 14, 15, 16, 17, 83],
+    440: [10, 11, 12, 13, 14, 83],
+    450: [8, 9, 10, 11, 12, 83],
+    460: [5, 6, 7, 8, 9, 83],
+    470: [2, 3, 4, 5, 6, 83],
+    480: [0, 1, 2, 3, 83],
+    490: [0, 83, 359]
+  },
+  340: {
+    0: [70, 81],
+    10: [69, 70, 81],
+    20: [69, 81],
+    30: [68, 69, 81],
+    40: [67, 68, 81],
+    50: [67, 68, 81],
+    60: [66, 67, 81],
+    70: [65, 66, 81],
+    80: [65, 66, 81],
+    90: [64, 65],
+    100: [63, 64],
+    110: [63, 64],
+    120: [62, 63],
+    130: [61, 62],
+    140: [60, 61],
+    150: [59, 60, 61, 82],
+    160: [58, 59, 60, 82],
+    170: [57, 58, 59, 82],
+    180: [56, 57, 58, 82],
+    190: [55, 56, 57, 82],
+    200: [54, 55, 56, 82],
+    210: [53, 54, 55, 82],
+    220: [52, 53, 54, 82],
+    230: [51, 52, 53, 82],
+    240: [49, 50, 51, 82],
+    250: [48, 49, 50, 82],
+    260: [47, 48, 82],
+    270: [45, 46, 47, 48, 82],
+    280: [44, 45, 46, 82],
+    290: [42, 43, 44, 45, 82],
+    300: [41, 42, 43, 82],
+    310: [39, 40, 41, 82],
+    320: [37, 38, 39, 40, 82],
+    330: [35, 36, 37, 38, 82],
+    340: [34, 35, 82],
+    350: [31, 32, 33, 34, 82],
+    360: [29, 30, 31, 32, 82],
+    370: [28, 29, 30],
+    380: [25, 26, 27],
+    390: [22, 23, 24, 25, 26],
+    400: [20, 21, 22, 23, 24],
+    410: [18, 19, 20, 21],
+    420: [16, 17, 18],
+    430: [14, 15],
+    440: [11, 12],
+    450: [8, 9, 10, 11],
+    460: [5, 6, 7, 8],
+    470: [2, 3, 4, 5, 6],
+    480: [0, 1, 2, 3],
+    490: [0, 1, 359]
+  },
+  350: {
+    0: [69, 70, 80],
+    10: [68, 69],
+    20: [68, 69],
+    30: [67, 68, 81],
+    40: [66, 67, 81],
+    50: [66, 67, 81],
+    60: [65, 66, 81],
+    70: [64, 65, 66, 81],
+    80: [64, 65, 81],
+    90: [63, 64, 81],
+    100: [62, 63, 81],
+    110: [61, 62, 63, 81],
+    120: [61, 62, 81],
+    130: [60, 61, 81],
+    140: [59, 60, 81],
+    150: [58, 59, 81],
+    160: [57, 58, 59, 81],
+    170: [56, 57, 58],
+    180: [55, 56, 57],
+    190: [54, 55, 56],
+    200: [53, 54, 55],
+    210: [52, 53, 54],
+    220: [51, 52, 53],
+    230: [49, 50, 51, 52],
+    240: [49, 50],
+    250: [47, 48, 49, 82],
+    260: [46, 47, 48],
+    270: [44, 45, 46, 82],
+    280: [43, 44, 45, 82],
+    290: [42, 43, 82],
+    300: [39, 40, 41, 42, 82],
+    310: [38, 39, 40, 41, 82],
+    320: [37, 38, 82],
+    330: [34, 35, 36, 37, 82],
+    340: [32, 33, 34, 35, 82],
+    350: [31, 32, 33, 82],
+    360: [29, 30, 31, 82],
+    370: [26, 27, 28, 29, 82],
+    380: [24, 25, 26, 27, 82],
+    390: [22, 23, 24, 25, 82],
+    400: [21, 82],
+    410: [17, 18, 19, 20, 82],
+    420: [15, 16, 17, 18, 82],
+    430: [12, 13, 14, 15, 16, 82],
+    440: [10, 11, 12, 13, 14, 82],
+    450: [8, 9, 10, 11, 82],
+    460: [5, 6, 7, 8, 82],
+    470: [3, 4, 5, 6, 82],
+    480: [1, 2, 3, 82],
+    490: [0, 1]
+  },
+  360: {
+    0: [68, 69, 80],
+    10: [68, 80],
+    20: [67, 68, 80],
+    30: [66, 67, 80],
+    40: [66, 67, 80],
+    50: [65, 66, 80],
+    60: [64, 65],
+    70: [64, 65],
+    80: [63, 64],
+    90: [62, 63],
+    100: [61, 62, 63],
+    110: [61, 62, 81],
+    120: [60, 61, 81],
+    130: [59, 60, 81],
+    140: [58, 59, 81],
+    150: [57, 58, 59, 81],
+    160: [56, 57, 58, 81],
+    170: [56, 57, 81],
+    180: [54, 55, 56, 81],
+    190: [54, 55, 81],
+    200: [52, 53, 54, 81],
+    210: [51, 52, 53, 81],
+    220: [50, 51, 52, 81],
+    230: [49, 50, 81],
+    240: [47, 48, 49, 81],
+    250: [46, 47, 48, 81],
+    260: [44, 45, 46, 47, 81],
+    270: [43, 44, 45, 81],
+    280: [42, 43],
+    290: [40, 41, 42, 43],
+    300: [39, 40, 41],
+    310: [37, 38, 39],
+    320: [35, 36, 37, 38],
+    330: [34, 35, 36],
+    340: [32, 33, 34],
+    350: [29, 30, 31, 32],
+    360: [28, 29, 30, 31],
+    370: [27, 28],
+    380: [24, 25, 26],
+    390: [21, 22, 23, 24, 82],
+    400: [19, 20, 21, 22, 82],
+    410: [17, 18, 19, 20],
+    420: [15, 16, 17, 82],
+    430: [82],
+    440: [10, 11, 12, 82],
+    450: [8, 9, 10, 82],
+    460: [5, 6, 7, 8, 82],
+    470: [3, 4, 5, 6, 82],
+    480: [0, 1, 2, 3, 4, 82],
+    490: [0, 1]
+  },
+  370: {
+    0: [68],
+    10: [67, 68, 80],
+    20: [66, 67, 80],
+    30: [66, 80],
+    40: [65, 66, 80],
+    50: [64, 65, 80],
+    60: [63, 64, 80],
+    70: [63, 64, 80],
+    80: [62, 63, 80],
+    90: [61, 62, 80],
+    100: [61, 62, 80],
+    110: [60, 61, 80],
+    120: [59, 60, 80],
+    130: [58, 59],
+    140: [57, 58, 59],
+    150: [56, 57, 58],
+    160: [56, 57],
+    170: [54, 55, 56],
+    180: [53, 54, 55, 81],
+    190: [52, 53, 54, 81],
+    200: [51, 52, 81],
+    210: [50, 51, 52, 81],
+    220: [49, 50, 81],
+    230: [48, 49, 50, 81],
+    240: [47, 48, 81],
+    250: [45, 46, 47, 81],
+    260: [44, 45, 46, 81],
+    270: [42, 43, 44, 81],
+    280: [41, 42, 43, 81],
+    290: [40, 41, 81],
+    300: [38, 39, 40, 81],
+    310: [36, 37, 38, 81],
+    320: [35, 36, 81],
+    330: [32, 33, 34, 35, 81],
+    340: [31, 32, 33, 81],
+    350: [30, 31, 81],
+    360: [27, 28, 29, 81],
+    370: [25, 26, 27, 28, 81],
+    380: [23, 24, 25, 26, 81],
+    390: [22, 23, 81],
+    400: [19, 20, 21],
+    410: [16, 17, 18, 19],
+    420: [14, 15, 16, 17],
+    430: [12, 13, 14, 15],
+    440: [10, 11, 12, 13],
+    450: [8, 9, 10, 11],
+    460: [6, 7, 8],
+    470: [4, 5, 6],
+    480: [1, 2, 3],
+    490: [0, 1]
+  },
+  380: {
+    0: [67, 79],
+    10: [66, 67, 79],
+    20: [65, 66, 79],
+    30: [65, 66, 79],
+    40: [64, 65],
+    50: [64],
+    60: [63, 64, 80],
+    70: [62, 63, 80],
+    80: [61, 62, 80],
+    90: [61, 62, 80],
+    100: [60, 61, 80],
+    110: [59, 60, 80],
+    120: [58, 59, 80],
+    130: [57, 58, 59, 80],
+    140: [56, 57, 58, 80],
+    150: [56, 57, 80],
+    160: [54, 55, 56, 80],
+    170: [53, 54, 55, 80],
+    180: [52, 53, 54, 80],
+    190: [51, 52, 53, 80],
+    200: [50, 51, 52, 80],
+    210: [49, 50, 51],
+    220: [48, 49, 50],
+    230: [47, 48],
+    240: [45, 46, 47],
+    250: [44, 45, 46],
+    260: [43, 44, 45],
+    270: [42, 43],
+    280: [40, 41, 42],
+    290: [38, 39, 40, 41],
+    300: [38, 39, 81],
+    310: [35, 36, 37, 81],
+    320: [34, 35, 36, 81],
+    330: [33, 34, 81],
+    340: [30, 31, 32, 81],
+    350: [28, 29, 30, 31, 81],
+    360: [27, 28, 29, 81],
+    370: [25, 26, 81],
+    380: [22, 23, 24, 25, 81],
+    390: [20, 21, 22, 23, 81],
+    400: [18, 19, 20, 21, 81],
+    410: [17, 18, 19, 81],
+    420: [15, 16, 17, 81],
+    430: [13, 81],
+    440: [10, 11, 12, 81],
+    450: [8, 9, 10, 81],
+    460: [5, 6, 7, 8, 81],
+    470: [3, 4, 5, 6, 81],
+    480: [1, 2, 3, 4, 81],
+    490: [0, 1, 2, 81],
+    500: [0]
+  },
+  390: {
+    0: [66, 67, 79],
+    10: [65, 66, 79],
+    20: [65, 66, 79],
+    30: [64, 65, 79],
+    40: [64, 79],
+    50: [63, 64, 79],
+    60: [62, 63, 79],
+    70: [61, 62, 79],
+    80: [61, 62, 79],
+    90: [60, 61, 79],
+    100: [59, 60],
+    110: [58, 59],
+    120: [57, 58, 59],
+    130: [56, 57, 58, 80],
+    140: [56, 57, 80],
+    150: [55, 56, 80],
+    160: [54, 55, 80],
+    170: [53, 54, 80],
+    180: [51, 52, 53, 80],
+    190: [51, 52, 80],
+    200: [49, 50, 51, 80],
+    210: [48, 49, 50, 80],
+    220: [47, 48, 49, 80],
+    230: [46, 47, 48, 80],
+    240: [45, 46, 80],
+    250: [43, 44, 45, 80],
+    260: [42, 43, 44, 80],
+    270: [40, 41, 42, 43, 80],
+    280: [39, 40, 41, 80],
+    290: [38, 39, 80],
+    300: [36, 37, 38, 80],
+    310: [35, 36, 37],
+    320: [33, 34, 35],
+    330: [31, 32, 33, 34],
+    340: [30, 31, 32],
+    350: [28, 29],
+    360: [26, 27, 28],
+    370: [24, 25, 26, 27],
+    380: [22, 23, 24, 25],
+    390: [21, 22],
+    400: [18, 19, 20],
+    410: [16, 17, 18, 19],
+    420: [14, 15, 16, 17, 81],
+    430: [12, 13, 14, 15],
+    440: [10, 11, 12, 13, 81],
+    450: [8, 9, 10, 11, 81],
+    460: [6, 7, 8, 81],
+    470: [4, 5, 6, 81],
+    480: [2, 3, 4, 81],
+    490: [1, 81]
+  },
+  400: {
+    0: [65, 66, 78],
+    10: [65, 66, 78],
+    20: [64, 65, 78],
+    30: [63, 64],
+    40: [63, 64],
+    50: [62, 63, 79],
+    60: [61, 62, 79],
+    70: [61, 62, 79],
+    80: [60, 61, 79],
+    90: [59, 60, 79],
+    100: [58, 59, 79],
+    110: [57, 58, 59, 79],
+    120: [56, 57, 58, 79],
+    130: [56, 57, 79],
+    140: [55, 56, 79],
+    150: [54, 55, 79],
+    160: [53, 54, 79],
+    170: [52, 53],
+    180: [51, 52],
+    190: [50, 51],
+    200: [49, 50],
+    210: [47, 48, 49],
+    220: [46, 47, 48, 80],
+    230: [45, 46, 47],
+    240: [44, 45, 46, 80],
+    250: [43, 44, 80],
+    260: [41, 42, 43, 80],
+    270: [40, 41, 80],
+    280: [38, 39, 40, 80],
+    290: [37, 38, 39, 80],
+    300: [36, 37, 80],
+    310: [34, 35, 36, 80],
+    320: [32, 33, 34, 80],
+    330: [31, 32, 80],
+    340: [29, 30, 31, 80],
+    350: [27, 28, 29, 30, 80],
+    360: [26, 27, 28, 80],
+    370: [24, 25, 80],
+    380: [22, 23, 24, 80],
+    390: [20, 21, 22, 80],
+    400: [18, 19, 20, 21, 80],
+    410: [16, 17, 18, 80],
+    420: [15, 16],
+    430: [12, 13],
+    440: [10, 11, 12],
+    450: [8, 9, 10],
+    460: [5, 6, 7, 8],
+    470: [3, 4, 5, 6],
+    480: [1, 2, 3, 4],
+    490: [1, 2]
+  },
+  410: {
+    0: [65, 66, 78],
+    10: [64, 65, 78],
+    20: [63, 64, 78],
+    30: [63, 64, 78],
+    40: [62, 63, 78],
+    50: [61, 62, 78],
+    60: [61, 62, 78],
+    70: [60, 61, 78],
+    80: [59, 60],
+    90: [58, 59],
+    100: [57, 58, 59, 79],
+    110: [57, 58, 79],
+    120: [56, 57, 79],
+    130: [55, 56, 79],
+    140: [54, 55, 79],
+    150: [53, 54, 79],
+    160: [52, 53, 79],
+    170: [51, 52, 79],
+    180: [50, 51, 79],
+    190: [49, 50, 79],
+    200: [48, 49, 79],
+    210: [47, 48, 79],
+    220: [45, 46, 47, 79],
+    230: [45, 46, 79],
+    240: [43, 44, 45, 79],
+    250: [42, 43, 44],
+    260: [40, 41, 42],
+    270: [39, 40, 41],
+    280: [38, 39],
+    290: [36, 37, 38],
+    300: [35, 36, 37],
+    310: [34, 35],
+    320: [32, 33],
+    330: [30, 31, 32, 80],
+    340: [29, 30, 31, 80],
+    350: [27, 28, 80],
+    360: [25, 26, 27, 80],
+    370: [23, 24, 25, 26, 80],
+    380: [22, 23, 24, 80],
+    390: [20, 21, 80],
+    400: [18, 19, 80],
+    410: [15, 16, 17, 18, 80],
+    420: [14, 15, 16, 80],
+    430: [12, 13, 14, 80],
+    440: [10, 11, 12, 80],
+    450: [8, 9, 10, 80],
+    460: [6, 7, 8, 80],
+    470: [5, 6, 80],
+    480: [3, 4, 80],
+    490: [1, 2, 80]
+  },
+  420: {
+    0: [64, 65, 77],
+    10: [64, 77],
+    20: [63, 64],
+    30: [62, 63, 78],
+    40: [61, 62, 78],
+    50: [61, 62, 78],
+    60: [60, 61, 78],
+    70: [59, 60, 78],
+    80: [58, 59, 78],
+    90: [58, 78],
+    100: [57, 58, 78],
+    110: [56, 57, 78],
+    120: [55, 56, 78],
+    130: [54, 55],
+    140: [53, 54],
+    150: [52, 53],
+    160: [51, 52, 53],
+    170: [50, 51, 52, 79],
+    180: [50, 51, 79],
+    190: [48, 49, 50, 79],
+    200: [47, 48, 79],
+    210: [46, 47, 79],
+    220: [45, 46, 79],
+    230: [43, 44, 45, 79],
+    240: [43, 44, 79],
+    250: [41, 42, 43, 79],
+    260: [40, 41, 42, 79],
+    270: [39, 40, 79],
+    280: [37, 38, 39, 79],
+    290: [36, 37, 38, 79],
+    300: [34, 35, 79],
+    310: [32, 33, 34, 35, 79],
+    320: [31, 32, 33, 79],
+    330: [30, 31],
+    340: [28, 29, 30],
+    350: [26, 27, 28],
+    360: [25, 26, 27],
+    370: [23, 24],
+    380: [21, 22, 23],
+    390: [19, 20, 21, 22],
+    400: [17, 18, 19, 20],
+    410: [16, 17, 18],
+    420: [15, 16],
+    430: [12, 13],
+    440: [10, 11, 12, 80],
+    450: [8, 9, 10],
+    460: [6, 7, 8, 80],
+    470: [4, 5, 6, 7, 80],
+    480: [2, 3, 4, 5, 80],
+    490: [1, 2, 3, 80],
+    500: [1]
+  },
+  430: {
+    0: [64, 77],
+    10: [63, 64, 77],
+    20: [62, 63, 77],
+    30: [62, 77],
+    40: [61, 62, 77],
+    50: [60, 61, 77],
+    60: [59, 60],
+    70: [58, 59],
+    80: [58, 59, 78],
+    90: [57, 58, 78],
+    100: [56, 57, 78],
+    110: [55, 56, 78],
+    120: [54, 55, 78],
+    130: [53, 54, 55, 78],
+    140: [52, 53, 78],
+    150: [52, 53, 78],
+    160: [50, 51, 52, 78],
+    170: [50, 51, 78],
+    180: [48, 49, 50, 78],
+    190: [48, 49, 78],
+    200: [46, 47, 48],
+    210: [45, 46, 47],
+    220: [44, 45, 46],
+    230: [43, 44],
+    240: [42, 43],
+    250: [41, 42, 79],
+    260: [39, 40],
+    270: [38, 39, 40, 79],
+    280: [37, 38, 79],
+    290: [35, 36, 37, 79],
+    300: [34, 35, 79],
+    310: [33, 34, 79],
+    320: [30, 31, 32, 79],
+    330: [29, 30, 31, 79],
+    340: [28, 29, 79],
+    350: [26, 27, 79],
+    360: [24, 25, 26, 79],
+    370: [22, 23, 24, 25, 79],
+    380: [21, 22, 23, 79],
+    390: [20, 21, 79],
+    400: [17, 18, 19, 79],
+    410: [15, 16, 17, 79],
+    420: [13, 14, 15, 16, 79],
+    430: [12, 13, 14, 79],
+    440: [10, 11, 12],
+    450: [8, 9, 10, 79],
+    460: [7, 8],
+    470: [5, 6],
+    480: [3, 4],
+    490: [2]
+  },
+  440: {
+    0: [63, 64, 76],
+    10: [62, 63],
+    20: [62, 77],
+    30: [61, 62, 77],
+    40: [60, 61, 77],
+    50: [59, 60, 77],
+    60: [59, 60, 77],
+    70: [58, 59, 77],
+    80: [57, 58, 77],
+    90: [56, 57, 77],
+    100: [55, 56, 77],
+    110: [55, 56],
+    120: [54, 55],
+    130: [53, 54, 78],
+    140: [52, 53, 78],
+    150: [51, 52, 78],
+    160: [50, 51, 78],
+    170: [49, 50, 78],
+    180: [48, 49, 78],
+    190: [47, 48, 78],
+    200: [46, 47, 78],
+    210: [45, 46, 78],
+    220: [44, 45, 78],
+    230: [42, 43, 44, 78],
+    240: [41, 42, 43, 78],
+    250: [40, 41, 78],
+    260: [39, 40, 78],
+    270: [37, 38],
+    280: [36, 37, 38],
+    290: [35, 36],
+    300: [33, 34],
+    310: [31, 32, 33],
+    320: [30, 31, 32],
+    330: [29, 30],
+    340: [27, 28, 29],
+    350: [25, 26, 27, 79],
+    360: [24, 25, 26, 79],
+    370: [22, 23, 79],
+    380: [20, 21, 22, 79],
+    390: [19, 20, 21, 79],
+    400: [17, 18, 19, 79],
+    410: [16, 17, 79],
+    420: [14, 15, 79],
+    430: [12, 13, 79],
+    440: [10, 11, 12, 79],
+    450: [8, 9, 10, 79],
+    460: [6, 7, 8, 79],
+    470: [4, 5, 6, 7, 79],
+    480: [2, 3, 4, 5, 79],
+    490: [2, 3]
+  },
+  450: {
+    0: [63, 76],
+    10: [62, 63, 76],
+    20: [61, 62, 76],
+    30: [60, 61, 76],
+    40: [60, 76],
+    50: [59, 60],
+    60: [58, 59],
+    70: [57, 58, 77],
+    80: [56, 57, 77],
+    90: [56, 57, 77],
+    100: [55, 56, 77],
+    110: [54, 55, 77],
+    120: [53, 54, 77],
+    130: [52, 53, 77],
+    140: [51, 52, 77],
+    150: [50, 51, 77],
+    160: [49, 50, 77],
+    170: [48, 49],
+    180: [47, 48, 49],
+    190: [46, 47],
+    200: [45, 46, 78],
+    210: [44, 45, 78],
+    220: [43, 44, 78],
+    230: [42, 43, 78],
+    240: [40, 41, 42, 78],
+    250: [39, 40, 41, 78],
+    260: [38, 39, 78],
+    270: [37, 38, 78],
+    280: [36, 37, 78],
+    290: [34, 35, 78],
+    300: [33, 34, 78],
+    310: [32, 33, 78],
+    320: [29, 30, 31, 78],
+    330: [28, 29, 30, 78],
+    340: [27, 28, 78],
+    350: [25, 26, 78],
+    360: [23, 24, 25],
+    370: [22, 23, 24],
+    380: [20, 21, 22],
+    390: [19, 20],
+    400: [17, 18],
+    410: [15, 16, 17],
+    420: [13, 14, 15, 16],
+    430: [12, 13, 14],
+    440: [10, 11, 12],
+    450: [8, 9, 10],
+    460: [7, 8, 9, 79],
+    470: [5, 6, 7],
+    480: [4, 5, 79],
+    490: [3]
+  },
+  460: {
+    0: [62, 63, 75],
+    10: [61, 62, 76],
+    20: [61, 76],
+    30: [60, 61, 76],
+    40: [59, 60, 76],
+    50: [58, 59, 76],
+    60: [58, 76],
+    70: [57, 58, 76],
+    80: [56, 57, 76],
+    90: [55, 56],
+    100: [54, 55],
+    110: [54, 77],
+    120: [52, 53, 77],
+    130: [51, 52, 53, 77],
+    140: [51, 52, 77],
+    150: [50, 51, 77],
+    160: [49, 50, 77],
+    170: [48, 49, 77],
+    180: [47, 48, 77],
+    190: [46, 47, 77],
+    200: [44, 45, 46, 77],
+    210: [43, 44, 45, 77],
+    220: [42, 43, 77],
+    230: [41, 42],
+    240: [40, 41],
+    250: [39, 40],
+    260: [37, 38, 39],
+    270: [36, 37],
+    280: [35, 36],
+    290: [34, 35, 78],
+    300: [32, 33, 78],
+    310: [30, 31, 32, 78],
+    320: [29, 30, 31, 78],
+    330: [28, 29, 78],
+    340: [26, 27, 28, 78],
+    350: [25, 26, 27, 78],
+    360: [23, 24, 25, 78],
+    370: [22, 23, 78],
+    380: [20, 21, 22, 78],
+    390: [18, 19, 20, 78],
+    400: [17, 18, 19, 78],
+    410: [15, 16, 17, 78],
+    420: [14, 15, 78],
+    430: [12, 13, 78],
+    440: [10, 11, 78],
+    450: [8, 9, 10, 78],
+    460: [6, 7, 8, 9],
+    470: [5, 6, 7, 78],
+    480: [3, 4, 5],
+    490: [3, 4]
+  },
+  470: {
+    0: [62, 75],
+    10: [61, 62, 75],
+    20: [60, 61, 75],
+    30: [59, 60, 75],
+    40: [59],
+    50: [58, 59, 76],
+    60: [57, 58, 76],
+    70: [56, 57, 76],
+    80: [55, 56, 76],
+    90: [55, 76],
+    100: [54, 55, 76],
+    110: [53, 54, 76],
+    120: [52, 53, 76],
+    130: [51, 52, 76],
+    140: [50, 51],
+    150: [49, 50],
+    160: [48, 49],
+    170: [47, 48, 77],
+    180: [46, 47, 77],
+    190: [45, 46, 77],
+    200: [44, 45, 77],
+    210: [43, 44, 77],
+    220: [42, 43, 77],
+    230: [41, 42, 77],
+    240: [39, 40, 41, 77],
+    250: [38, 39, 40, 77],
+    260: [37, 38, 77],
+    270: [36, 37, 77],
+    280: [35, 36, 77],
+    290: [33, 34, 77],
+    300: [32, 33],
+    310: [31, 32],
+    320: [29, 30],
+    330: [27, 28, 29],
+    340: [26, 27, 28],
+    350: [25, 26],
+    360: [23, 24, 25],
+    370: [21, 22, 23],
+    380: [20, 21, 22, 78],
+    390: [19, 20, 78],
+    400: [17, 18, 78],
+    410: [15, 16, 17, 78],
+    420: [13, 14, 15, 78],
+    430: [12, 13, 14, 78],
+    440: [10, 11, 12, 78],
+    450: [9, 10, 11, 78],
+    460: [7, 8, 9, 78],
+    470: [6, 7, 78],
+    480: [4, 5, 78],
+    490: [3, 78]
+  },
+  480: {
+    0: [61, 62, 74],
+    10: [60, 61, 75],
+    20: [60, 75],
+    30: [59, 60, 75],
+    40: [58, 59, 75],
+    50: [57, 58, 75],
+    60: [56, 57, 75],
+    70: [56, 57, 75],
+    80: [55, 56],
+    90: [54, 55, 76],
+    100: [53, 54, 76],
+    110: [52, 53, 76],
+    120: [51, 52, 76],
+    130: [50, 51, 76],
+    140: [50, 51, 76],
+    150: [48, 49, 76],
+    160: [48, 49, 76],
+    170: [46, 47, 48, 76],
+    180: [46, 47, 76],
+    190: [44, 45, 46, 76],
+    200: [43, 44],
+    210: [42, 43, 44],
+    220: [41, 42],
+    230: [40, 41],
+    240: [39, 40, 77],
+    250: [37, 38, 39, 77],
+    260: [36, 37, 38, 77],
+    270: [35, 36, 77],
+    280: [34, 35, 77],
+    290: [33, 34, 77],
+    300: [31, 32, 77],
+    310: [30, 31, 77],
+    320: [29, 30, 77],
+    330: [27, 28, 77],
+    340: [25, 26, 27, 77],
+    350: [24, 25, 26, 77],
+    360: [23, 24, 77],
+    370: [22, 23, 77],
+    380: [20, 21],
+    390: [18, 19, 20, 77],
+    400: [16, 17, 18],
+    410: [15, 16, 17],
+    420: [14, 15],
+    430: [13],
+    440: [10, 11],
+    450: [9, 10],
+    460: [7, 8, 9],
+    470: [5, 6, 7],
+    480: [4, 5, 6, 78],
+    490: [3, 4]
+  },
+  490: {
+    0: [61, 74],
+    10: [60, 61, 74],
+    20: [59, 60, 74],
+    30: [58, 59, 74],
+    40: [58, 75],
+    50: [57, 58, 75],
+    60: [56, 57, 75],
+    70: [55, 56, 75],
+    80: [54, 55, 75],
+    90: [54, 75],
+    100: [53, 75],
+    110: [52, 53, 75],
+    120: [51, 52, 75],
+    130: [50, 51],
+    140: [49, 50, 76],
+    150: [48, 49, 76],
+    160: [47, 48, 76],
+    170: [46, 47, 76],
+    180: [45, 46, 76],
+    190: [44, 45, 76],
+    200: [43, 44, 76],
+    210: [42, 43, 76],
+    220: [41, 42, 76],
+    230: [40, 41, 76],
+    240: [38, 39, 40, 76],
+    250: [37, 38, 39, 76],
+    260: [36, 37],
+    270: [35, 36],
+    280: [34, 35],
+    290: [32, 33],
+    300: [31, 32],
+    310: [30, 31],
+    320: [28, 29, 77],
+    330: [27, 28, 77],
+    340: [26, 27, 77],
+    350: [24, 25, 77],
+    360: [22, 23, 24, 77],
+    370: [21, 22, 23, 77],
+    380: [20, 21, 77],
+    390: [18, 19, 20, 77],
+    400: [17, 18, 77],
+    410: [15, 16, 77],
+    420: [13, 14, 15, 77],
+    430: [12, 13, 14, 77],
+    440: [10, 11, 12, 77],
+    450: [9, 10, 11, 77],
+    460: [7, 8, 9, 77],
+    470: [6, 7, 77],
+    480: [4, 5, 6, 77],
+    490: [4, 77]
+  },
+  500: {
+    0: [60, 61, 73],
+    10: [60, 74],
+    20: [59, 74],
+    30: [58, 59, 74],
+    40: [57, 58, 74],
+    50: [56, 57, 74],
+    60: [56, 74],
+    70: [55],
+    80: [54, 55, 75],
+    90: [53, 54, 75],
+    100: [52, 53, 75],
+    110: [51, 52, 75],
+    120: [50, 51, 75],
+    130: [49, 50, 75],
+    140: [49, 75],
+    150: [47, 48, 75],
+    160: [47, 48, 75],
+    170: [45, 46, 47],
+    180: [45, 46],
+    190: [43, 44, 45],
+    200: [42, 43, 44, 76],
+    210: [41, 42, 76],
+    220: [40, 41, 76],
+    230: [39, 40, 76],
+    240: [38, 39, 76],
+    250: [37, 38, 76],
+    260: [36, 37, 76],
+    270: [34, 35, 36, 76],
+    280: [33, 34, 76],
+    290: [32, 33, 76],
+    300: [31, 32, 76],
+    310: [29, 30, 31, 76],
+    320: [28, 29],
+    330: [27, 28],
+    340: [25, 26],
+    350: [24, 25],
+    360: [22, 23, 24],
+    370: [21, 22],
+    380: [19, 20, 21],
+    390: [18, 19],
+    400: [16, 17, 18, 77],
+    410: [15, 16, 17, 77],
+    420: [14, 15, 77],
+    430: [13, 77],
+    440: [11, 77],
+    450: [9, 10, 77],
+    460: [7, 8, 9, 77],
+    470: [6, 7, 77],
+    480: [4, 5, 6, 77],
+    490: [4, 77]
+  },
+  510: {
+    0: [60, 61, 73],
+    10: [59, 60, 73],
+    20: [58, 59, 73],
+    30: [58, 73],
+    40: [57, 74],
+    50: [56, 57, 74],
+    60: [55, 56, 74],
+    70: [54, 55, 74],
+    80: [53, 54, 74],
+    90: [53, 74],
+    100: [52, 74],
+    110: [51, 52],
+    120: [50, 51],
+    130: [49, 50, 75],
+    140: [48, 49, 75],
+    150: [47, 48, 75],
+    160: [46, 47, 75],
+    170: [45, 46, 75],
+    180: [44, 45, 75],
+    190: [43, 44, 75],
+    200: [42, 43, 75],
+    210: [41, 42, 75],
+    220: [40, 41, 75],
+    230: [39, 40],
+    240: [37, 38, 39],
+    250: [36, 37, 38],
+    260: [35, 36, 76],
+    270: [34, 35, 76],
+    280: [33, 34, 76],
+    290: [31, 32, 33, 76],
+    300: [30, 31, 32, 76],
+    310: [29, 30, 76],
+    320: [27, 28, 29, 76],
+    330: [26, 27, 28, 76],
+    340: [25, 26, 76],
+    350: [24, 25, 76],
+    360: [22, 23, 76],
+    370: [21, 22, 76],
+    380: [19, 20, 21, 76],
+    390: [18, 19, 76],
+    400: [17, 18, 76],
+    410: [15, 16, 76],
+    420: [13, 14, 15],
+    430: [12, 13, 14],
+    440: [10, 11, 12],
+    450: [9, 10, 11],
+    460: [8, 9],
+    470: [6, 7, 8],
+    480: [5, 6],
+    490: [4, 5]
+  },
+  520: {
+    0: [60, 72],
+    10: [59, 73],
+    20: [58, 59, 73],
+    30: [57, 58, 73],
+    40: [56, 57, 73],
+    50: [55, 56, 73],
+    60: [55, 73],
+    70: [54, 55, 74],
+    80: [53, 54, 74],
+    90: [52, 53, 74],
+    100: [51, 52, 74],
+    110: [50, 51, 74],
+    120: [49, 50, 74],
+    130: [48, 49, 74],
+    140: [48, 74],
+    150: [46, 47, 74],
+    160: [46, 47],
+    170: [45, 46, 75],
+    180: [44, 45, 75],
+    190: [42, 43, 44, 75],
+    200: [42, 43, 75],
+    210: [40, 41, 42, 75],
+    220: [40, 41, 75],
+    230: [38, 39, 75],
+    240: [37, 38, 75],
+    250: [36, 37, 75],
+    260: [35, 36, 75],
+    270: [34, 35, 75],
+    280: [32, 33, 34, 75],
+    290: [31, 32, 33],
+    300: [30, 31],
+    310: [28, 29, 30],
+    320: [27, 28, 29],
+    330: [26, 27],
+    340: [25, 26, 76],
+    350: [23, 24, 25, 76],
+    360: [22, 23, 24, 76],
+    370: [21, 22, 76],
+    380: [19, 20, 76],
+    390: [18, 19, 76],
+    400: [16, 17, 18, 76],
+    410: [15, 16, 17, 76],
+    420: [14, 15, 76],
+    430: [12, 13, 14, 76],
+    440: [11, 12, 76],
+    450: [9, 10, 76],
+    460: [8, 9, 76],
+    470: [6, 7, 8, 76],
+    480: [5, 6, 76],
+    490: [4, 5]
+  },
+  530: {
+    0: [59, 60, 72],
+    10: [58, 59, 72],
+    20: [58, 72],
+    30: [57, 72],
+    40: [56, 57, 73],
+    50: [55, 56, 73],
+    60: [54, 55, 73],
+    70: [53, 54, 73],
+    80: [53, 73],
+    90: [52, 73],
+    100: [51, 52],
+    110: [50, 51, 74],
+    120: [49, 50, 74],
+    130: [48, 49, 74],
+    140: [47, 48, 74],
+    150: [46, 47, 74],
+    160: [45, 46, 74],
+    170: [44, 45, 74],
+    180: [43, 44, 74],
+    190: [42, 43, 74],
+    200: [41, 42],
+    210: [40, 41],
+    220: [39, 40],
+    230: [38, 39, 75],
+    240: [37, 38, 75],
+    250: [36, 37, 75],
+    260: [34, 35, 36, 75],
+    270: [33, 34, 75],
+    280: [32, 33, 75],
+    290: [31, 32, 75],
+    300: [30, 31, 75],
+    310: [29, 30, 75],
+    320: [27, 28, 75],
+    330: [26, 27, 75],
+    340: [24, 25, 26, 75],
+    350: [24, 25, 75],
+    360: [22, 23, 75],
+    370: [20, 21, 22],
+    380: [19, 20, 21],
+    390: [18, 19],
+    400: [17, 18],
+    410: [15, 16],
+    420: [13, 14, 15, 76],
+    430: [12, 13, 14],
+    440: [11, 12, 76],
+    450: [9, 10, 11, 76],
+    460: [8, 9, 10, 76],
+    470: [7, 8, 76],
+    480: [5, 6, 7, 76],
+    490: [5, 76]
+  },
+  540: {
+    0: [59, 60, 71],
+    10: [58, 59, 71, 72],
+    20: [57, 58, 72],
+    30: [56, 57, 72],
+    40: [56, 72],
+    50: [55, 72],
+    60: [54, 55],
+    70: [53, 54, 73],
+    80: [52, 53, 73],
+    90: [51, 52, 73],
+    100: [50, 51, 73],
+    110: [49, 50, 73],
+    120: [48, 49, 73],
+    130: [48, 49, 73],
+    140: [47, 48],
+    150: [46, 47],
+    160: [45, 46, 74],
+    170: [44, 45, 74],
+    180: [43, 44, 74],
+    190: [42, 43, 74],
+    200: [41, 42, 74],
+    210: [40, 41, 74],
+    220: [39, 40, 74],
+    230: [37, 38, 74],
+    240: [36, 37, 38, 74],
+    250: [35, 36, 74],
+    260: [34, 35],
+    270: [33, 34],
+    280: [32, 33],
+    290: [31, 32, 75],
+    300: [30, 31, 75],
+    310: [28, 29, 75],
+    320: [27, 28, 75],
+    330: [26, 27, 75],
+    340: [24, 25, 75],
+    350: [23, 24, 75],
+    360: [22, 23, 75],
+    370: [21, 22, 75],
+    380: [19, 20, 75],
+    390: [18, 19, 75],
+    400: [16, 17, 18, 75],
+    410: [15, 16, 75],
+    420: [14, 15, 75],
+    430: [12, 13, 14, 75],
+    440: [11, 12],
+    450: [10, 11],
+    460: [8, 9],
+    470: [7, 8],
+    480: [5, 6],
+    490: [5]
+  },
+  550: {
+    0: [59, 71],
+    10: [58, 71],
+    20: [57, 58, 71],
+    30: [56, 57, 71],
+    40: [55, 56, 72],
+    50: [54, 55, 72],
+    60: [53, 54, 72],
+    70: [53, 72],
+    80: [52, 72],
+    90: [51, 52, 72],
+    100: [50, 51, 73],
+    110: [49, 50, 73],
+    120: [48, 49, 73],
+    130: [47, 48, 73],
+    140: [46, 47, 73],
+    150: [45, 46, 73],
+    160: [44, 45, 73],
+    170: [43, 44, 73],
+    180: [42, 43],
+    190: [42],
+    200: [40, 41, 74],
+    210: [39, 40, 74],
+    220: [38, 39, 74],
+    230: [37, 38, 74],
+    240: [36, 37, 74],
+    250: [35, 36, 74],
+    260: [34, 35, 74],
+    270: [33, 34, 74],
+    280: [32, 33, 74],
+    290: [30, 31, 32, 74],
+    300: [29, 30, 74],
+    310: [28, 29, 74],
+    320: [27, 28],
+    330: [25, 26],
+    340: [24, 25, 26],
+    350: [23, 24],
+    360: [22, 23],
+    370: [20, 21, 75],
+    380: [19, 20, 75],
+    390: [18, 19, 75],
+    400: [17, 18, 75],
+    410: [16, 75],
+    420: [14, 75],
+    430: [12, 13, 75],
+    440: [11, 12, 75],
+    450: [9, 10, 11, 75],
+    460: [8, 9, 10, 75],
+    470: [7, 8, 75],
+    480: [6, 7, 75],
+    490: [5, 6, 75]
+  },
+  560: {
+    0: [58, 59, 70],
+    10: [57, 58, 70, 71],
+    20: [57, 71],
+    30: [56, 71],
+    40: [55, 56, 71],
+    50: [54, 55, 71],
+    60: [53, 54, 72],
+    70: [52, 53, 72],
+    80: [51, 52, 72],
+    90: [51, 72],
+    100: [50, 72],
+    110: [49, 50, 72],
+    120: [48, 49, 72],
+    130: [47, 48],
+    140: [46, 47, 73],
+    150: [45, 46, 73],
+    160: [44, 45, 73],
+    170: [43, 44, 73],
+    180: [42, 43, 73],
+    190: [41, 42, 73],
+    200: [40, 41, 73],
+    210: [39, 40, 73],
+    220: [38, 39, 73],
+    230: [37, 38],
+    240: [36, 37],
+    250: [35, 36],
+    260: [33, 34, 35, 74],
+    270: [33, 34, 74],
+    280: [31, 32, 74],
+    290: [30, 31, 74],
+    300: [29, 30, 74],
+    310: [28, 29, 74],
+    320: [26, 27, 28, 74],
+    330: [25, 26, 27, 74],
+    340: [24, 25, 74],
+    350: [23, 24, 74],
+    360: [21, 22, 23, 74],
+    370: [20, 21, 22, 74],
+    380: [19, 20, 74],
+    390: [18, 19],
+    400: [16, 17],
+    410: [15, 16],
+    420: [14, 15],
+    430: [12, 13, 14],
+    440: [11, 12, 13],
+    450: [10, 11],
+    460: [9, 10, 75],
+    470: [7, 8, 75],
+    480: [6, 7, 75],
+    490: [5, 75]
+  },
+  570: {
+    0: [58, 59, 69, 70],
+    10: [57, 58, 70],
+    20: [56, 57, 70],
+    30: [55, 56, 70],
+    40: [55, 71],
+    50: [54, 71],
+    60: [53, 54, 71],
+    70: [52, 53, 71],
+    80: [51, 52, 71],
+    90: [50, 51],
+    100: [49, 50, 72],
+    110: [48, 49, 72],
+    120: [47, 48, 72],
+    130: [47, 72],
+    140: [46, 72],
+    150: [45, 46, 72],
+    160: [44, 45, 72],
+    170: [43, 44],
+    180: [42, 43],
+    190: [41, 42, 73],
+    200: [40, 41, 73],
+    210: [39, 40, 73],
+    220: [38, 39, 73],
+    230: [37, 38, 73],
+    240: [36, 37, 73],
+    250: [34, 35, 73],
+    260: [34, 73],
+    270: [32, 33, 73],
+    280: [31, 32, 73],
+    290: [30, 31],
+    300: [29, 30],
+    310: [28, 29],
+    320: [27, 28],
+    330: [25, 26, 74],
+    340: [24, 25, 74],
+    350: [23, 24, 74],
+    360: [22, 23, 74],
+    370: [20, 21, 74],
+    380: [19, 20, 74],
+    390: [18, 19, 74],
+    400: [16, 17, 18, 74],
+    410: [15, 16, 74],
+    420: [14, 15, 74],
+    430: [13, 74],
+    440: [11, 12, 74],
+    450: [10, 11, 74],
+    460: [8, 9, 10],
+    470: [7, 8, 9],
+    480: [6, 7],
+    490: [6]
+  },
+  580: {
+    0: [58, 59, 69],
+    10: [57, 58, 69],
+    20: [56, 57, 70],
+    30: [55, 56, 70],
+    40: [54, 55, 70],
+    50: [53, 54, 70],
+    60: [53, 71],
+    70: [52, 71],
+    80: [51, 52, 71],
+    90: [50, 51, 71],
+    100: [49, 50, 71],
+    110: [48, 49, 71],
+    120: [47, 48, 71],
+    130: [46, 47, 72],
+    140: [45, 46, 72],
+    150: [44, 45, 72],
+    160: [43, 44, 72],
+    170: [43, 72],
+    180: [41, 42, 72],
+    190: [40, 41, 72],
+    200: [39, 40, 72],
+    210: [38, 39, 72],
+    220: [37, 38],
+    230: [36, 37, 73],
+    240: [35, 36, 73],
+    250: [34, 35, 73],
+    260: [33, 34, 73],
+    270: [32, 33, 73],
+    280: [31, 32, 73],
+    290: [30, 31, 73],
+    300: [29, 30, 73],
+    310: [28, 29, 73],
+    320: [26, 27, 73],
+    330: [25, 26, 73],
+    340: [24, 25],
+    350: [23, 24],
+    360: [21, 22],
+    370: [20, 21],
+    380: [19, 20],
+    390: [18, 19],
+    400: [16, 17],
+    410: [15, 16, 74],
+    420: [14, 15, 74],
+    430: [13, 14, 74],
+    440: [11, 12, 13, 74],
+    450: [10, 11, 74],
+    460: [9, 10, 74],
+    470: [8, 9, 74],
+    480: [6, 7, 74],
+    490: [6, 74]
+  },
+  590: {
+    0: [58, 59, 68, 69],
+    10: [57, 58, 69],
+    20: [56, 57, 69],
+    30: [55, 56, 69],
+    40: [54, 55, 69, 70],
+    50: [53, 54, 70],
+    60: [52, 53, 70],
+    70: [51, 52, 70],
+    80: [50, 51, 70],
+    90: [50, 71],
+    100: [49, 71],
+    110: [48, 49, 71],
+    120: [47, 48, 71],
+    130: [46, 47, 71],
+    140: [45, 46, 71],
+    150: [44, 45, 71],
+    160: [43, 44],
+    170: [42, 43, 72],
+    180: [41, 42, 72],
+    190: [40, 41, 72],
+    200: [39, 40, 72],
+    210: [38, 39, 72],
+    220: [37, 38, 72],
+    230: [36, 37, 72],
+    240: [35, 36, 72],
+    250: [34, 35, 72],
+    260: [33, 34],
+    270: [32, 33],
+    280: [31, 32],
+    290: [30, 31, 73],
+    300: [28, 29, 30, 73],
+    310: [27, 28, 73],
+    320: [26, 27, 73],
+    330: [25, 26, 73],
+    340: [24, 25, 73],
+    350: [23, 24, 73],
+    360: [21, 22, 23, 73],
+    370: [21, 73],
+    380: [19, 20, 73],
+    390: [18, 19, 73],
+    400: [16, 17, 18, 73],
+    410: [15, 16, 17],
+    420: [14, 15],
+    430: [13, 14],
+    440: [11, 12],
+    450: [10, 11],
+    460: [9, 10],
+    470: [8, 9],
+    480: [6, 7, 8, 74],
+    490: [6, 7]
+  },
+  600: {
+    0: [57, 58, 59, 67, 68],
+    10: [57, 68],
+    20: [56, 68, 69],
+    30: [55, 56, 69],
+    40: [54, 55, 69],
+    50: [53, 54, 69],
+    60: [52, 53, 69, 70],
+    70: [51, 52, 70],
+    80: [50, 51, 70],
+    90: [49, 50, 70],
+    100: [48, 49, 70],
+    110: [48, 70],
+    120: [47],
+    130: [46, 47, 71],
+    140: [45, 46, 71],
+    150: [44, 45, 71],
+    160: [43, 44, 71],
+    170: [42, 43, 71],
+    180: [41, 42, 71],
+    190: [40, 41, 71],
+    200: [39, 40],
+    210: [38, 39],
+    220: [37, 38, 72],
+    230: [36, 37, 72],
+    240: [35, 36, 72],
+    250: [34, 35, 72],
+    260: [33, 34, 72],
+    270: [32, 33, 72],
+    280: [31, 32, 72],
+    290: [29, 30, 72],
+    300: [28, 29, 72],
+    310: [27, 28],
+    320: [26, 27],
+    330: [25, 26],
+    340: [24, 25],
+    350: [23, 24],
+    360: [21, 22, 73],
+    370: [20, 21, 73],
+    380: [19, 20, 73],
+    390: [18, 19, 73],
+    400: [17, 18, 73],
+    410: [15, 16, 73],
+    420: [14, 15, 73],
+    430: [13, 14, 73],
+    440: [12, 13, 73],
+    450: [11, 12, 73],
+    460: [9, 10, 11, 73],
+    470: [8, 9, 73],
+    480: [7, 8, 73],
+    490: [6, 7, 73]
+  },
+  610: {
+    0: [57, 58, 59, 67],
+    10: [56, 57, 67, 68],
+    20: [55, 56, 68],
+    30: [55, 68],
+    40: [54, 68, 69],
+    50: [53, 69],
+    60: [52, 53, 69],
+    70: [51, 52, 69],
+    80: [50, 51, 69],
+    90: [49, 50, 70],
+    100: [48, 49, 70],
+    110: [47, 48, 70],
+    120: [46, 47, 70],
+    130: [45, 46, 70],
+    140: [44, 45, 70],
+    150: [44, 70],
+    160: [43, 71],
+    170: [42, 43, 71],
+    180: [41, 71],
+    190: [40, 41, 71],
+    200: [39, 40, 71],
+    210: [38, 39, 71],
+    220: [37, 38, 71],
+    230: [36, 37, 71],
+    240: [35, 36, 71],
+    250: [34, 35],
+    260: [32, 33],
+    270: [32, 33],
+    280: [30, 31, 72],
+    290: [29, 30, 72],
+    300: [28, 29, 72],
+    310: [27, 28, 72],
+    320: [26, 27, 72],
+    330: [25, 26, 72],
+    340: [24, 25, 72],
+    350: [22, 23, 72],
+    360: [21, 22, 72],
+    370: [20, 21, 72],
+    380: [19, 20],
+    390: [18, 19],
+    400: [17, 18],
+    410: [15, 16, 17],
+    420: [14, 15, 16],
+    430: [13, 14, 73],
+    440: [12, 13, 73],
+    450: [11, 73],
+    460: [9, 10, 73],
+    470: [8, 9, 73],
+    480: [7, 8, 73],
+    490: [7, 73],
+    500: [73]
+  },
+  620: {
+    0: [57, 58, 59, 66, 67],
+    10: [56, 57, 67],
+    20: [55, 56, 67],
+    30: [54, 55, 67, 68],
+    40: [53, 54, 68],
+    50: [53, 68],
+    60: [52, 68],
+    70: [51, 52, 69],
+    80: [50, 51, 69],
+    90: [49, 50, 69],
+    100: [48, 49, 69],
+    110: [47, 48, 69],
+    120: [46, 47, 70],
+    130: [45, 46, 70],
+    140: [44, 45, 70],
+    150: [43, 44, 70],
+    160: [43, 70],
+    170: [41, 42, 70],
+    180: [41, 70],
+    190: [39, 40],
+    200: [39, 71],
+    210: [38, 71],
+    220: [37, 71],
+    230: [35, 36, 71],
+    240: [35, 71],
+    250: [33, 34, 71],
+    260: [33, 71],
+    270: [31, 32, 71],
+    280: [30, 31, 71],
+    290: [29, 30, 71],
+    300: [28, 29],
+    310: [27, 28],
+    320: [26, 27],
+    330: [25, 26, 72],
+    340: [24, 25, 72],
+    350: [23, 24, 72],
+    360: [22, 72],
+    370: [20, 21, 72],
+    380: [19, 20, 72],
+    390: [18, 19, 72],
+    400: [17, 18, 72],
+    410: [16, 17, 72],
+    420: [14, 15, 72],
+    430: [13, 14, 72],
+    440: [12, 13, 72],
+    450: [11, 12],
+    460: [10, 11],
+    470: [9, 10],
+    480: [8, 9],
+    490: [7]
+  },
+  630: {
+    0: [57, 58, 59, 65, 66],
+    10: [56, 57, 66],
+    20: [55, 56, 66, 67],
+    30: [54, 55, 67],
+    40: [53, 54, 67],
+    50: [52, 53, 67, 68],
+    60: [51, 52, 68],
+    70: [50, 51, 68],
+    80: [50, 68],
+    90: [49, 68, 69],
+    100: [48, 49, 69],
+    110: [47, 48, 69],
+    120: [46, 47, 69],
+    130: [45, 46, 69],
+    140: [44, 45, 69],
+    150: [43, 44],
+    160: [42, 43, 70],
+    170: [41, 42, 70],
+    180: [40, 41, 70],
+    190: [40, 70],
+    200: [38, 39, 70],
+    210: [37, 38, 70],
+    220: [36, 37, 70],
+    230: [36],
+    240: [34, 35],
+    250: [33, 34, 71],
+    260: [32, 33, 71],
+    270: [31, 32, 71],
+    280: [30, 31, 71],
+    290: [29, 30, 71],
+    300: [28, 29, 71],
+    310: [27, 28, 71],
+    320: [26, 27, 71],
+    330: [25, 26, 71],
+    340: [24, 25, 71],
+    350: [22, 23],
+    360: [21, 22],
+    370: [20, 21],
+    380: [19, 20, 72],
+    390: [18, 19, 72],
+    400: [17, 18, 72],
+    410: [16, 17, 72],
+    420: [14, 15, 16, 72],
+    430: [13, 14, 15, 72],
+    440: [12, 13, 72],
+    450: [11, 12, 72],
+    460: [10, 11, 72],
+    470: [9, 72],
+    480: [7, 8, 72],
+    490: [7, 72]
+  },
+  640: {
+    0: [57, 58, 59, 64, 65],
+    10: [56, 57, 58, 65, 66],
+    20: [55, 56, 66],
+    30: [54, 55, 66, 67],
+    40: [53, 54, 66, 67],
+    50: [52, 53, 67],
+    60: [51, 52, 67],
+    70: [50, 51, 67, 68],
+    80: [49, 50, 68],
+    90: [48, 49, 68],
+    100: [48, 68],
+    110: [47, 68],
+    120: [46, 47, 69],
+    130: [45, 46, 69],
+    140: [44, 45, 69],
+    150: [43, 44, 69],
+    160: [42, 43, 69],
+    170: [41, 42, 69],
+    180: [40, 41, 69],
+    190: [39, 40, 70],
+    200: [38, 39, 70],
+    210: [37, 38, 70],
+    220: [36, 37, 70],
+    230: [35, 36, 70],
+    240: [34, 35, 70],
+    250: [33, 34, 70],
+    260: [32, 33, 70],
+    270: [31, 32, 70],
+    280: [30, 31],
+    290: [29, 30],
+    300: [28, 29, 71],
+    310: [27, 28, 71],
+    320: [26, 27, 71],
+    330: [25, 26, 71],
+    340: [24, 71],
+    350: [22, 23, 71],
+    360: [22, 71],
+    370: [20, 21, 71],
+    380: [19, 20, 71],
+    390: [18, 19, 71],
+    400: [17, 18],
+    410: [16, 17],
+    420: [15, 16],
+    430: [13, 14],
+    440: [12, 13],
+    450: [11, 12, 72],
+    460: [10, 11],
+    470: [9, 10, 72],
+    480: [8, 9, 72],
+    490: [8, 72]
+  },
+  650: {
+    0: [57, 58, 59, 60, 61, 62, 63, 64, 65],
+    10: [56, 57, 58, 64, 65],
+    20: [55, 56, 65, 66],
+    30: [54, 55, 65, 66],
+    40: [53, 54, 66],
+    50: [52, 53, 66, 67],
+    60: [51, 52, 67],
+    70: [50, 51, 67],
+    80: [49, 50, 67],
+    90: [48, 49, 67, 68],
+    100: [47, 48, 68],
+    110: [46, 47, 68],
+    120: [46, 68],
+    130: [45, 68],
+    140: [44, 45, 68],
+    150: [43, 44, 69],
+    160: [42, 43, 69],
+    170: [41, 42, 69],
+    180: [40, 41, 69],
+    190: [39, 40, 69],
+    200: [38, 39, 69],
+    210: [37, 38, 69],
+    220: [36, 37],
+    230: [35, 36, 70],
+    240: [34, 35, 70],
+    250: [33, 34, 70],
+    260: [32, 33, 70],
+    270: [31, 32, 70],
+    280: [30, 31, 70],
+    290: [29, 30, 70],
+    300: [28, 29, 70],
+    310: [27, 28, 70],
+    320: [26, 27, 70],
+    330: [25],
+    340: [24, 25],
+    350: [23, 24, 71],
+    360: [21, 22, 71],
+    370: [20, 21, 71],
+    380: [19, 20, 71],
+    390: [18, 19, 71],
+    400: [17, 18, 71],
+    410: [16, 17, 71],
+    420: [15, 16, 71],
+    430: [14, 15, 71],
+    440: [13, 14, 71],
+    450: [12, 13, 71],
+    460: [11, 71],
+    470: [9, 10],
+    480: [8, 9],
+    490: [8]
+  },
+  660: {
+    0: [58, 59, 60, 61, 62, 63, 64],
+    10: [56, 57, 58, 63, 64],
+    20: [55, 56, 57, 64, 65],
+    30: [54, 55, 65],
+    40: [53, 54, 65, 66],
+    50: [52, 53, 66],
+    60: [51, 52, 66],
+    70: [50, 51, 66, 67],
+    80: [49, 50, 67],
+    90: [48, 49, 67],
+    100: [47, 48, 67],
+    110: [46, 47, 67],
+    120: [45, 46, 68],
+    130: [45, 68],
+    140: [44, 68],
+    150: [43, 68],
+    160: [42, 68],
+    170: [41, 42, 68],
+    180: [40, 41],
+    190: [39, 40, 69],
+    200: [38, 39, 69],
+    210: [37, 38, 69],
+    220: [36, 37, 69],
+    230: [35, 36, 69],
+    240: [34, 35, 69],
+    250: [33, 34, 69],
+    260: [32, 33],
+    270: [31, 32],
+    280: [30, 31, 70],
+    290: [29, 30, 70],
+    300: [28, 29, 70],
+    310: [27, 28, 70],
+    320: [26, 27, 70],
+    330: [25, 26, 70],
+    340: [24, 25, 70],
+    350: [22, 23, 70],
+    360: [21, 22, 70],
+    370: [21],
+    380: [19, 20],
+    390: [18, 19],
+    400: [17, 18],
+    410: [16, 17],
+    420: [15, 16, 71],
+    430: [14, 15, 71],
+    440: [13, 14, 71],
+    450: [12, 71],
+    460: [10, 11, 71],
+    470: [9, 10, 71],
+    480: [8, 9, 71],
+    490: [8]
+  },
+  670: {
+    0: [58, 59, 60, 61, 62, 63],
+    10: [56, 57, 58, 59, 60, 61, 62, 63, 64],
+    20: [55, 56, 57, 63, 64],
+    30: [54, 55, 64, 65],
+    40: [53, 54, 64, 65],
+    50: [52, 53, 65],
+    60: [51, 52, 65, 66],
+    70: [50, 51, 66],
+    80: [49, 50, 66],
+    90: [48, 49, 66],
+    100: [47, 48, 67],
+    110: [46, 47, 67],
+    120: [45, 46, 67],
+    130: [44, 45, 67],
+    140: [44, 67],
+    150: [43, 68],
+    160: [42, 68],
+    170: [41, 68],
+    180: [40, 41, 68],
+    190: [39, 40, 68],
+    200: [38, 68],
+    210: [37, 38, 68],
+    220: [36, 37, 69],
+    230: [35, 36, 69],
+    240: [34, 35, 69],
+    250: [33, 34, 69],
+    260: [32, 33, 69],
+    270: [31, 32, 69],
+    280: [30, 31, 69],
+    290: [29, 30, 69],
+    300: [28, 29],
+    310: [27, 28],
+    320: [26, 27],
+    330: [25, 26, 70],
+    340: [24, 70],
+    350: [23, 24, 70],
+    360: [22, 23, 70],
+    370: [20, 21, 70],
+    380: [19, 20, 70],
+    390: [18, 19, 70],
+    400: [17, 18, 70],
+    410: [16, 17, 70],
+    420: [15, 16, 70],
+    430: [14, 15, 70],
+    440: [13, 14],
+    450: [12, 13],
+    460: [11, 12],
+    470: [10, 11],
+    480: [9, 10, 71],
+    490: [8]
+  },
+  680: {
+    0: [59, 60, 61],
+    10: [57, 58, 59, 60, 61, 62, 63],
+    20: [55, 56, 57, 58, 61, 62, 63],
+    30: [54, 55, 56, 63, 64],
+    40: [53, 54, 64],
+    50: [52, 53, 64, 65],
+    60: [51, 52, 65],
+    70: [50, 51, 65],
+    80: [49, 50, 65, 66],
+    90: [48, 49, 66],
+    100: [47, 48, 66],
+    110: [46, 47, 66],
+    120: [45, 46, 66, 67],
+    130: [44, 45, 67],
+    140: [43, 44, 67],
+    150: [43, 67],
+    160: [41, 42, 67],
+    170: [40, 41, 67],
+    180: [40, 68],
+    190: [39, 68],
+    200: [38, 39, 68],
+    210: [37, 38, 68],
+    220: [36, 37, 68],
+    230: [35, 68],
+    240: [34, 35, 68],
+    250: [33],
+    260: [32, 33],
+    270: [31, 32, 69],
+    280: [30, 31, 69],
+    290: [29, 30, 69],
+    300: [28, 29, 69],
+    310: [27, 28, 69],
+    320: [26, 27, 69],
+    330: [25, 69],
+    340: [24, 25, 69],
+    350: [23, 24],
+    360: [22],
+    370: [21],
+    380: [20],
+    390: [19, 70],
+    400: [17, 18, 70],
+    410: [16, 17, 70],
+    420: [15, 16, 70],
+    430: [14, 15, 70],
+    440: [13, 14, 70],
+    450: [12, 13, 70],
+    460: [11, 12, 70],
+    470: [10, 11, 70],
+    480: [9, 10, 70],
+    490: [8, 9, 70],
+    500: [8]
+  },
+  690: {
+    10: [57, 58, 59, 60, 61, 62],
+    20: [56, 57, 58, 59, 60, 61, 62],
+    30: [54, 55, 56, 62, 63],
+    40: [53, 54, 55, 63, 64],
+    50: [52, 53, 63, 64],
+    60: [51, 52, 64],
+    70: [50, 51, 64, 65],
+    80: [49, 50, 65],
+    90: [48, 49, 65],
+    100: [47, 48, 65, 66],
+    110: [46, 47, 66],
+    120: [45, 46, 66],
+    130: [44, 45, 66],
+    140: [43, 44, 66],
+    150: [42, 43, 67],
+    160: [41, 42, 67],
+    170: [40, 41, 67],
+    180: [39, 40, 67],
+    190: [39, 67],
+    200: [38, 67],
+    210: [37],
+    220: [36, 37, 68],
+    230: [35, 36, 68],
+    240: [34, 35, 68],
+    250: [33, 34, 68],
+    260: [32, 33, 68],
+    270: [31, 32, 68],
+    280: [30, 31, 68],
+    290: [29, 68],
+    300: [28, 29],
+    310: [27, 28],
+    320: [26, 27, 69],
+    330: [25, 26, 69],
+    340: [24, 25, 69],
+    350: [23, 69],
+    360: [22, 23, 69],
+    370: [21, 22, 69],
+    380: [20, 69],
+    390: [18, 19, 69],
+    400: [17, 18, 69],
+    410: [17],
+    420: [16],
+    430: [14, 15],
+    440: [13, 14, 70],
+    450: [12, 13],
+    460: [11, 12, 70],
+    470: [10, 11, 70],
+    480: [9, 10, 70],
+    490: [9, 70]
+  },
+  700: {
+    10: [58, 59, 60],
+    20: [56, 57, 58, 59, 60, 61],
+    30: [54, 55, 56, 57, 60, 61, 62],
+    40: [53, 54, 55, 62, 63],
+    50: [52, 53, 63],
+    60: [51, 52, 63, 64],
+    70: [50, 51, 64],
+    80: [49, 50, 64],
+    90: [48, 49, 64, 65],
+    100: [47, 48, 65],
+    110: [46, 47, 65],
+    120: [45, 46, 65, 66],
+    130: [44, 45, 66],
+    140: [43, 44, 66],
+    150: [42, 43, 66],
+    160: [41, 42, 66],
+    170: [40, 41, 66],
+    180: [39, 40, 67],
+    190: [39, 67],
+    200: [38, 67],
+    210: [37, 67],
+    220: [36, 67],
+    230: [35, 36, 67],
+    240: [34, 67],
+    250: [33, 34, 68],
+    260: [32, 68],
+    270: [31, 32, 68],
+    280: [30, 31, 68],
+    290: [29, 30, 68],
+    300: [28, 29, 68],
+    310: [27, 28, 68],
+    320: [26, 27, 68],
+    330: [25, 26, 68],
+    340: [24],
+    350: [23, 24],
+    360: [22, 23, 69],
+    370: [21, 69],
+    380: [20, 69],
+    390: [19, 20, 69],
+    400: [18, 19, 69],
+    410: [17, 69],
+    420: [15, 16, 69],
+    430: [14, 15, 69],
+    440: [14, 69],
+    450: [13, 69],
+    460: [12],
+    470: [10, 11],
+    480: [9, 10],
+    490: [9]
+  },
+  710: {
+    20: [56, 57, 58, 59, 60],
+    30: [55, 56, 57, 58, 59, 60, 61],
+    40: [53, 54, 55, 56, 60, 61, 62],
+    50: [52, 53, 54, 62, 63],
+    60: [51, 52, 62, 63],
+    70: [50, 51, 63, 64],
+    80: [49, 50, 63, 64],
+    90: [48, 49, 64],
+    100: [47, 48, 64],
+    110: [46, 47, 64, 65],
+    120: [45, 46, 65],
+    130: [44, 45, 65],
+    140: [43, 44, 65],
+    150: [42, 43, 65, 66],
+    160: [41, 42, 66],
+    170: [40, 41, 66],
+    180: [39, 40, 66],
+    190: [38, 39, 66],
+    200: [38, 66],
+    210: [37],
+    220: [36, 67],
+    230: [35, 36, 67],
+    240: [34, 35, 67],
+    250: [33, 34, 67],
+    260: [32, 33, 67],
+    270: [31, 32, 67],
+    280: [30, 31, 67],
+    290: [29, 30],
+    300: [28, 68],
+    310: [27, 28, 68],
+    320: [26, 27, 68],
+    330: [25, 26, 68],
+    340: [24, 25, 68],
+    350: [23, 24, 68],
+    360: [22, 68],
+    370: [21, 22, 68],
+    380: [20, 21, 68],
+    390: [19, 20],
+    400: [18],
+    410: [17, 18, 69],
+    420: [16, 17, 69],
+    430: [15, 16, 69],
+    440: [14, 15, 69],
+    450: [13, 69],
+    460: [12, 69],
+    470: [11, 69],
+    480: [10, 69],
+    490: [9, 10, 69],
+    500: [9]
+  },
+  720: {
+    20: [58, 59],
+    30: [55, 56, 57, 58, 59, 60],
+    40: [54, 55, 56, 57, 58, 59, 60, 61],
+    50: [52, 53, 54, 60, 61, 62],
+    60: [51, 52, 53, 61, 62],
+    70: [50, 51, 62, 63],
+    80: [49, 50, 63],
+    90: [48, 49, 63, 64],
+    100: [47, 48, 63, 64],
+    110: [46, 47, 64],
+    120: [45, 46, 64],
+    130: [44, 45, 64, 65],
+    140: [43, 44, 65],
+    150: [42, 43, 65],
+    160: [41, 42, 65],
+    170: [40, 41, 65],
+    180: [39, 40, 66],
+    190: [38, 39, 66],
+    200: [38, 66],
+    210: [37, 66],
+    220: [36, 66],
+    230: [35, 66],
+    240: [34, 35],
+    250: [33, 67],
+    260: [32, 33, 67],
+    270: [31, 67],
+    280: [30, 31, 67],
+    290: [29, 30, 67],
+    300: [28, 29, 67],
+    310: [27, 28, 67],
+    320: [26, 27],
+    330: [25, 26],
+    340: [24, 25, 68],
+    350: [23, 24, 68],
+    360: [22, 23, 68],
+    370: [21, 22, 68],
+    380: [20, 21, 68],
+    390: [19, 20, 68],
+    400: [18, 19, 68],
+    410: [17, 18, 68],
+    420: [16, 17, 68],
+    430: [15, 16],
+    440: [14, 15],
+    450: [13, 14],
+    460: [12, 13],
+    470: [11, 12, 69],
+    480: [10, 11, 69],
+    490: [9, 10, 69]
+  },
+  730: {
+    30: [56, 57, 58, 59],
+    40: [54, 55, 56, 57, 58, 59, 60],
+    50: [53, 54, 55, 59, 60, 61],
+    60: [51, 52, 53, 60, 61, 62],
+    70: [50, 51, 52, 61, 62],
+    80: [49, 50, 62, 63],
+    90: [48, 49, 62, 63],
+    100: [47, 48, 63],
+    110: [46, 47, 63, 64],
+    120: [45, 46, 64],
+    130: [44, 45, 64],
+    140: [43, 44, 64],
+    150: [42, 43, 64, 65],
+    160: [41, 42, 65],
+    170: [40, 41, 65],
+    180: [39, 40, 65],
+    190: [38, 39, 65],
+    200: [37, 38, 65],
+    210: [37, 66],
+    220: [36, 66],
+    230: [35, 66],
+    240: [34, 35, 66],
+    250: [33, 34, 66],
+    260: [32, 33, 66],
+    270: [31, 32],
+    280: [30, 31],
+    290: [29, 30, 67],
+    300: [28, 29, 67],
+    310: [27, 28, 67],
+    320: [26, 27, 67],
+    330: [25, 26, 67],
+    340: [24, 25, 67],
+    350: [23, 24, 67],
+    360: [22, 23],
+    370: [21, 22],
+    380: [20, 21],
+    390: [19, 20, 68],
+    400: [18, 19, 68],
+    410: [17, 18, 68],
+    420: [16, 17, 68],
+    430: [15, 16, 68],
+    440: [14, 15, 68],
+    450: [13, 14, 68],
+    460: [12, 13, 68],
+    470: [11, 12, 68],
+    480: [10, 11, 68],
+    490: [10]
+  },
+  740: {
+    40: [55, 56, 57, 58, 59],
+    50: [53, 54, 55, 56, 57, 58, 59, 60],
+    60: [52, 53, 54, 59, 60, 61],
+    70: [50, 51, 52, 60, 61],
+    80: [49, 50, 51, 61, 62],
+    90: [48, 49, 62],
+    100: [47, 48, 62, 63],
+    110: [46, 47, 62, 63],
+    120: [45, 46, 63],
+    130: [44, 45, 63],
+    140: [43, 44, 63, 64],
+    150: [42, 43, 64],
+    160: [41, 42, 64],
+    170: [40, 41, 64],
+    180: [39, 40, 64, 65],
+    190: [39, 65],
+    200: [37, 38, 65],
+    210: [37, 65],
+    220: [36, 65],
+    230: [35, 65],
+    240: [34, 66],
+    250: [33, 34, 66],
+    260: [32, 66],
+    270: [31, 32, 66],
+    280: [30, 31, 66],
+    290: [29, 30, 66],
+    300: [28, 29, 66],
+    310: [27, 28, 66],
+    320: [26, 27],
+    330: [25, 26],
+    340: [24, 25, 67],
+    350: [23, 24, 67],
+    360: [22, 23, 67],
+    370: [21, 22, 67],
+    380: [20, 21, 67],
+    390: [19, 20, 67],
+    400: [18, 19, 67],
+    410: [17, 18, 67],
+    420: [16, 17],
+    430: [16],
+    440: [14, 15],
+    450: [13, 14, 68],
+    460: [12, 13, 68],
+    470: [11, 12, 68],
+    480: [11, 68],
+    490: [10]
+  },
+  750: {
+    40: [56, 57],
+    50: [53, 54, 55, 56, 57, 58, 59],
+    60: [52, 53, 54, 55, 56, 57, 58, 59, 60],
+    70: [51, 52, 59, 60, 61],
+    80: [49, 50, 51, 60, 61],
+    90: [48, 49, 50, 61, 62],
+    100: [47, 48, 61, 62],
+    110: [46, 47, 62],
+    120: [45, 46, 62, 63],
+    130: [44, 45, 63],
+    140: [43, 44, 63],
+    150: [42, 43, 63],
+    160: [41, 42, 63, 64],
+    170: [40, 41, 64],
+    180: [39, 40, 64],
+    190: [39, 64],
+    200: [38, 64],
+    210: [37, 65],
+    220: [36, 65],
+    230: [35, 36, 65],
+    240: [34, 65],
+    250: [33, 34, 65],
+    260: [32, 33, 65],
+    270: [31, 32],
+    280: [30, 31, 66],
+    290: [29, 30, 66],
+    300: [28, 29, 66],
+    310: [27, 28, 66],
+    320: [26, 27, 66],
+    330: [25, 26, 66],
+    340: [24, 25, 66],
+    350: [23, 24, 66],
+    360: [22, 23],
+    370: [22],
+    380: [20, 21, 67],
+    390: [19, 20, 67],
+    400: [19, 67],
+    410: [18, 67],
+    420: [17, 67],
+    430: [15, 16, 67],
+    440: [15, 67],
+    450: [14, 67],
+    460: [13, 14, 67],
+    470: [12, 13],
+    480: [11, 12],
+    490: [10]
+  },
+  760: {
+    50: [54, 55, 56, 57],
+    60: [52, 53, 54, 55, 56, 57, 58, 59],
+    70: [51, 52, 53, 54, 57, 58, 59, 60],
+    80: [50, 51, 52, 59, 60],
+    90: [48, 49, 50, 60, 61],
+    100: [47, 48, 49, 60, 61],
+    110: [46, 47, 61, 62],
+    120: [45, 46, 61, 62],
+    130: [44, 45, 62],
+    140: [43, 44, 62, 63],
+    150: [42, 43, 63],
+    160: [41, 42, 63],
+    170: [40, 41, 63],
+    180: [39, 40, 63, 64],
+    190: [39, 64],
+    200: [38, 64],
+    210: [37, 64],
+    220: [36, 64],
+    230: [35, 36, 64],
+    240: [34, 35, 65],
+    250: [33, 34, 65],
+    260: [32, 33, 65],
+    270: [31, 32, 65],
+    280: [30, 31, 65],
+    290: [29, 30, 65],
+    300: [28, 29, 65],
+    310: [27, 28],
+    320: [26, 27, 66],
+    330: [25, 26, 66],
+    340: [24, 25, 66],
+    350: [23, 24, 66],
+    360: [23, 66],
+    370: [21, 22, 66],
+    380: [21, 66],
+    390: [20, 66],
+    400: [19, 20],
+    410: [18],
+    420: [17, 67],
+    430: [16, 17, 67],
+    440: [15, 16, 67],
+    450: [14, 15, 67],
+    460: [13, 14, 67],
+    470: [12, 67],
+    480: [11, 12, 67],
+    490: [11, 67]
+  },
+  770: {
+    60: [53, 54, 55, 56, 57, 58],
+    70: [51, 52, 53, 54, 55, 56, 57, 58, 59],
+    80: [50, 51, 52, 58, 59],
+    90: [49, 50, 59, 60],
+    100: [48, 49, 60],
+    110: [47, 48, 60, 61],
+    120: [45, 46, 47, 61],
+    130: [44, 45, 61, 62],
+    140: [43, 44, 62],
+    150: [42, 43, 62],
+    160: [42, 62, 63],
+    170: [41, 62, 63],
+    180: [40, 63],
+    190: [39, 63],
+    200: [38, 39, 63],
+    210: [37, 38, 63, 64],
+    220: [36, 37, 64],
+    230: [35, 36, 64],
+    240: [34, 35, 64],
+    250: [33, 34, 64],
+    260: [32, 33, 64],
+    270: [31, 32, 65],
+    280: [30, 31, 65],
+    290: [29, 30, 65],
+    300: [28, 29, 65],
+    310: [27, 28, 65],
+    320: [27, 65],
+    330: [25, 26, 65],
+    340: [25, 65],
+    350: [24],
+    360: [23, 66],
+    370: [22, 66],
+    380: [21, 22, 66],
+    390: [20, 21, 66],
+    400: [19, 20, 66],
+    410: [18, 19, 66],
+    420: [17, 18, 66],
+    430: [16, 17, 66],
+    440: [15, 16],
+    450: [14, 15],
+    460: [13, 14],
+    470: [12, 13, 67],
+    480: [11, 12, 67],
+    490: [11, 67]
+  },
+  780: {
+    60: [55, 56],
+    70: [52, 53, 54, 55, 56, 57, 58],
+    80: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    90: [49, 50, 51, 57, 58, 59],
+    100: [48, 49, 59, 60],
+    110: [47, 48, 59, 60],
+    120: [46, 47, 60, 61],
+    130: [45, 46, 60, 61],
+    140: [44, 45, 61],
+    150: [43, 61, 62],
+    160: [42, 62],
+    170: [41, 62],
+    180: [40, 62],
+    190: [39, 62, 63],
+    200: [38, 39, 63],
+    210: [37, 38, 63],
+    220: [36, 37, 63],
+    230: [35, 36, 63],
+    240: [34, 35, 63, 64],
+    250: [33, 34, 64],
+    260: [32, 33, 64],
+    270: [31, 32, 64],
+    280: [30, 31, 64],
+    290: [29, 30, 64],
+    300: [28, 29, 64],
+    310: [28, 65],
+    320: [26, 27, 65],
+    330: [26, 65],
+    340: [25, 65],
+    350: [24, 25, 65],
+    360: [23, 65],
+    370: [22, 23, 65],
+    380: [21, 22, 65],
+    390: [20, 21],
+    400: [19, 20, 66],
+    410: [18, 19, 66],
+    420: [17, 18, 66],
+    430: [16, 17, 66],
+    440: [15, 16, 66],
+    450: [14, 15, 66],
+    460: [14, 66],
+    470: [13, 66],
+    480: [12, 66],
+    490: [11, 66]
+  },
+  790: {
+    70: [53, 54, 55, 56],
+    80: [51, 52, 53, 54, 55, 56, 57],
+    90: [49, 50, 51, 52, 53, 55, 56, 57, 58],
+    100: [48, 49, 50, 57, 58, 59],
+    110: [47, 48, 58, 59],
+    120: [46, 47, 59, 60],
+    130: [45, 46, 60],
+    140: [44, 45, 60, 61],
+    150: [43, 44, 61],
+    160: [42, 43, 61],
+    170: [41, 42, 61, 62],
+    180: [40, 41, 62],
+    190: [39, 40, 62],
+    200: [38, 39, 62],
+    210: [37, 38, 62],
+    220: [36, 37, 63],
+    230: [35, 36, 63],
+    240: [34, 35, 63],
+    250: [33, 34, 63],
+    260: [32, 33, 63],
+    270: [31, 32, 64],
+    280: [30, 31, 64],
+    290: [29, 30, 64],
+    300: [29, 64],
+    310: [28, 64],
+    320: [27, 64],
+    330: [26, 64],
+    340: [25, 26],
+    350: [24, 25, 65],
+    360: [23, 24, 65],
+    370: [22, 23, 65],
+    380: [21, 22, 65],
+    390: [20, 21, 65],
+    400: [20, 65],
+    410: [18, 19, 65],
+    420: [17, 18, 65],
+    430: [16, 17, 65],
+    440: [16],
+    450: [15],
+    460: [14, 66],
+    470: [13, 66],
+    480: [12, 66],
+    490: [12, 66]
+  },
+  800: {
+    80: [52, 53, 54, 55, 56],
+    90: [50, 51, 52, 53, 54, 55, 56, 57],
+    100: [49, 50, 51, 56, 57, 58],
+    110: [47, 48, 49, 57, 58, 59],
+    120: [46, 47, 48, 58, 59],
+    130: [45, 46, 59, 60],
+    140: [44, 45, 59, 60],
+    150: [43, 44, 60],
+    160: [42, 43, 60, 61],
+    170: [41, 42, 61],
+    180: [40, 41, 61],
+    190: [39, 40, 61],
+    200: [38, 39, 61, 62],
+    210: [37, 38, 62],
+    220: [36, 37, 62],
+    230: [35, 36, 62],
+    240: [34, 35, 62],
+    250: [33, 34, 63],
+    260: [32, 33, 63],
+    270: [31, 32, 63],
+    280: [31, 63],
+    290: [30, 63],
+    300: [29, 63],
+    310: [28, 29, 64],
+    320: [27, 64],
+    330: [26, 27, 64],
+    340: [25, 26, 64],
+    350: [24, 25, 64],
+    360: [23, 24, 64],
+    370: [22, 23, 64],
+    380: [21, 22],
+    390: [21],
+    400: [19, 20, 65],
+    410: [19, 65],
+    420: [18, 65],
+    430: [17, 18, 65],
+    440: [16, 17, 65],
+    450: [15, 16, 65],
+    460: [14, 15, 65],
+    470: [13, 14, 65],
+    480: [12, 13],
+    490: [12]
+  },
+  810: {
+    90: [51, 52, 53, 54, 55, 56],
+    100: [49, 50, 51, 52, 53, 54, 55, 56, 57],
+    110: [48, 49, 50, 56, 57, 58],
+    120: [46, 47, 48, 57, 58],
+    130: [45, 46, 47, 58, 59],
+    140: [44, 45, 58, 59],
+    150: [43, 44, 59, 60],
+    160: [42, 43, 59, 60],
+    170: [41, 42, 60],
+    180: [40, 41, 60, 61],
+    190: [39, 40, 61],
+    200: [38, 39, 61],
+    210: [37, 38, 61],
+    220: [36, 37, 61, 62],
+    230: [35, 36, 62],
+    240: [34, 35, 62],
+    250: [33, 34, 62],
+    260: [32, 33, 62],
+    270: [32, 63],
+    280: [31, 63],
+    290: [30, 31, 63],
+    300: [29, 30, 63],
+    310: [28, 29, 63],
+    320: [27, 28, 63],
+    330: [26, 27, 63],
+    340: [25, 26],
+    350: [24, 25, 64],
+    360: [23, 24, 64],
+    370: [22, 23, 64],
+    380: [22, 64],
+    390: [21, 64],
+    400: [20, 64],
+    410: [19, 64],
+    420: [18, 19],
+    430: [17, 18],
+    440: [16, 17, 65],
+    450: [15, 16, 65],
+    460: [14, 15, 65],
+    470: [14, 65],
+    480: [12, 13, 65],
+    490: [12, 65]
+  },
+  820: {
+    90: [52, 53, 54],
+    100: [50, 51, 52, 53, 54, 55, 56],
+    110: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    120: [47, 48, 49, 56, 57, 58],
+    130: [46, 47, 57, 58],
+    140: [44, 45, 46, 58, 59],
+    150: [43, 44, 45, 58, 59],
+    160: [42, 43, 59],
+    170: [41, 42, 59, 60],
+    180: [40, 41, 60],
+    190: [39, 40, 60],
+    200: [38, 39, 60],
+    210: [37, 38, 61],
+    220: [36, 37, 61],
+    230: [35, 36, 61],
+    240: [35, 61],
+    250: [34, 62],
+    260: [33, 62],
+    270: [32, 33, 62],
+    280: [31, 32, 62],
+    290: [30, 31, 62],
+    300: [29, 30, 62],
+    310: [28, 29, 63],
+    320: [27, 28, 63],
+    330: [26, 27, 63],
+    340: [26, 63],
+    350: [24, 25, 63],
+    360: [24, 63],
+    370: [23, 63],
+    380: [22, 23, 64],
+    390: [21, 64],
+    400: [20, 21, 64],
+    410: [19, 20, 64],
+    420: [18, 19, 64],
+    430: [17, 18, 64],
+    440: [16, 17, 64],
+    450: [16, 64],
+    460: [15],
+    470: [14],
+    480: [13, 65]
+  },
+  830: {
+    100: [51, 52, 53, 54],
+    110: [49, 50, 51, 52, 53, 54, 55, 56],
+    120: [47, 48, 49, 50, 51, 53, 54, 55, 56, 57],
+    130: [46, 47, 48, 56, 57],
+    140: [45, 46, 57, 58],
+    150: [44, 45, 57, 58],
+    160: [42, 43, 44, 58, 59],
+    170: [41, 42, 43, 58, 59],
+    180: [40, 41, 59],
+    190: [39, 40, 59, 60],
+    200: [38, 39, 60],
+    210: [38, 60],
+    220: [37, 60],
+    230: [36, 61],
+    240: [35, 36, 61],
+    250: [34, 35, 61],
+    260: [33, 34, 61],
+    270: [32, 33, 61],
+    280: [31, 32, 62],
+    290: [30, 31, 62],
+    300: [29, 30, 62],
+    310: [28, 29, 62],
+    320: [27, 28, 62],
+    330: [27, 62],
+    340: [26, 63],
+    350: [25, 63],
+    360: [24, 63],
+    370: [23, 24, 63],
+    380: [22, 23, 63],
+    390: [21, 22, 63],
+    400: [20, 21, 63],
+    410: [19, 20, 63],
+    420: [18, 19],
+    430: [18, 64],
+    440: [17, 64],
+    450: [16, 64],
+    460: [15, 64],
+    470: [14, 15, 64],
+    480: [13, 14, 64],
+    490: [13, 64]
+  },
+  840: {
+    110: [50, 51, 52, 53, 54],
+    120: [48, 49, 50, 51, 52, 53, 54, 55],
+    130: [46, 47, 48, 49, 54, 55, 56],
+    140: [45, 46, 47, 55, 56, 57],
+    150: [44, 45, 46, 56, 57],
+    160: [43, 44, 57, 58],
+    170: [42, 43, 58],
+    180: [41, 42, 58, 59],
+    190: [40, 41, 58, 59],
+    200: [39, 40, 59],
+    210: [38, 39, 59, 60],
+    220: [37, 38, 60],
+    230: [36, 37, 60],
+    240: [35, 36, 60],
+    250: [34, 35, 60, 61],
+    260: [33, 34, 61],
+    270: [32, 33, 61],
+    280: [31, 32, 61],
+    290: [30, 31, 61],
+    300: [29, 30, 61],
+    310: [28, 29, 62],
+    320: [28, 62],
+    330: [27, 62],
+    340: [26, 27, 62],
+    350: [25, 26, 62],
+    360: [24, 25, 62],
+    370: [23, 24],
+    380: [22, 23, 63],
+    390: [21, 22, 63],
+    400: [20, 21, 63],
+    410: [20, 63],
+    420: [19, 63],
+    430: [18, 19, 63],
+    440: [17, 18, 63],
+    450: [16],
+    460: [15, 16],
+    470: [14, 15, 64],
+    480: [13, 14, 64],
+    490: [13, 64]
+  },
+  850: {
+    120: [49, 50, 51, 52, 53, 54],
+    130: [47, 48, 49, 50, 51, 52, 53, 54, 55],
+    140: [46, 47, 48, 54, 55, 56],
+    150: [44, 45, 46, 55, 56, 57],
+    160: [43, 44, 45, 56, 57],
+    170: [42, 43, 57, 58],
+    180: [41, 42, 57, 58],
+    190: [40, 41, 58],
+    200: [39, 40, 58, 59],
+    210: [38, 39, 59],
+    220: [37, 38, 59],
+    230: [36, 37, 59, 60],
+    240: [35, 36, 59, 60],
+    250: [34, 35, 60],
+    260: [33, 34, 60],
+    270: [32, 33, 60],
+    280: [31, 32, 60, 61],
+    290: [30, 31, 61],
+    300: [30, 61],
+    310: [29, 61],
+    320: [28, 29, 61],
+    330: [27, 28, 61],
+    340: [26, 27, 62],
+    350: [25, 26, 62],
+    360: [24, 25, 62],
+    370: [23, 24, 62],
+    380: [23, 62],
+    390: [21, 22, 62],
+    400: [21, 62],
+    410: [20],
+    420: [19, 20, 63],
+    430: [18, 19, 63],
+    440: [17, 18, 63],
+    450: [16, 17, 63],
+    460: [16, 63],
+    470: [14, 15, 63],
+    480: [14, 63],
+    490: [13],
+    500: [13]
+  },
+  860: {
+    120: [50, 51, 52],
+    130: [48, 49, 50, 51, 52, 53, 54],
+    140: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    150: [45, 46, 47, 54, 55, 56],
+    160: [44, 45, 46, 55, 56],
+    170: [42, 43, 44, 56, 57],
+    180: [41, 42, 43, 56, 57],
+    190: [40, 41, 57, 58],
+    200: [39, 40, 57, 58],
+    210: [38, 39, 58],
+    220: [37, 38, 58, 59],
+    230: [36, 37, 58, 59],
+    240: [35, 36, 59],
+    250: [35, 59],
+    260: [33, 34, 59, 60],
+    270: [32, 33, 60],
+    280: [32, 60],
+    290: [31, 60],
+    300: [30, 31, 60],
+    310: [29, 30, 61],
+    320: [28, 29, 61],
+    330: [27, 28, 61],
+    340: [26, 27, 61],
+    350: [25, 26, 61],
+    360: [24, 25, 61],
+    370: [24, 62],
+    380: [23, 62],
+    390: [22, 23, 62],
+    400: [21, 62],
+    410: [20, 21, 62],
+    420: [19, 20, 62],
+    430: [18, 19, 62],
+    440: [18, 62],
+    450: [17],
+    460: [16, 63],
+    470: [15, 63],
+    480: [14, 15, 63],
+    490: [14]
+  },
+  870: {
+    130: [49, 50, 51, 52],
+    140: [47, 48, 49, 50, 51, 52, 53, 54],
+    150: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    160: [44, 45, 46, 47, 53, 54, 55],
+    170: [43, 44, 45, 55, 56],
+    180: [42, 43, 55, 56],
+    190: [41, 42, 56, 57],
+    200: [40, 41, 57],
+    210: [39, 40, 57, 58],
+    220: [38, 39, 58],
+    230: [37, 38, 58],
+    240: [36, 37, 58, 59],
+    250: [35, 36, 58, 59],
+    260: [34, 59],
+    270: [33, 34, 59],
+    280: [32, 33, 59],
+    290: [31, 32, 59, 60],
+    300: [30, 31, 60],
+    310: [29, 30, 60],
+    320: [28, 29, 60],
+    330: [27, 28, 60],
+    340: [27, 61],
+    350: [26, 61],
+    360: [25, 61],
+    370: [24, 61],
+    380: [23, 24, 61],
+    390: [22, 23, 61],
+    400: [21, 22, 61],
+    410: [20, 21, 62],
+    420: [19, 20, 62],
+    430: [19, 62],
+    440: [18, 62],
+    450: [17, 18, 62],
+    460: [16, 62],
+    470: [15, 16, 62],
+    480: [15, 62],
+    490: [14]
+  },
+  880: {
+    140: [48, 49, 50, 51, 52],
+    150: [46, 47, 48, 49, 50, 51, 52, 53],
+    160: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    170: [43, 44, 45, 46, 53, 54, 55],
+    180: [42, 43, 44, 54, 55, 56],
+    190: [41, 42, 43, 55, 56],
+    200: [40, 41, 56],
+    210: [39, 40, 56, 57],
+    220: [38, 39, 57],
+    230: [37, 38, 57, 58],
+    240: [36, 37, 58],
+    250: [35, 36, 58],
+    260: [34, 35, 58],
+    270: [33, 34, 58, 59],
+    280: [32, 33, 59],
+    290: [31, 32, 59],
+    300: [30, 31, 59],
+    310: [29, 30, 59, 60],
+    320: [29, 60],
+    330: [28, 60],
+    340: [27, 60],
+    350: [26, 27, 60],
+    360: [25, 26, 60],
+    370: [24, 25, 61],
+    380: [23, 24, 61],
+    390: [23, 61],
+    400: [21, 22, 61],
+    410: [21, 61],
+    420: [20, 61],
+    430: [19, 20, 61],
+    440: [18, 19, 61],
+    450: [17, 18, 62],
+    460: [16, 17, 62],
+    470: [16, 62],
+    480: [15, 62],
+    490: [14]
+  },
+  890: {
+    150: [47, 48, 49, 50, 51, 52],
+    160: [45, 46, 47, 48, 49, 50, 51, 52, 53],
+    170: [44, 45, 46, 47, 51, 52, 53, 54],
+    180: [43, 44, 45, 53, 54, 55],
+    190: [42, 43, 54, 55],
+    200: [40, 41, 42, 55, 56],
+    210: [39, 40, 41, 55, 56],
+    220: [38, 39, 56, 57],
+    230: [37, 38, 56, 57],
+    240: [36, 37, 57],
+    250: [35, 36, 57],
+    260: [34, 35, 57, 58],
+    270: [33, 34, 58],
+    280: [33, 58],
+    290: [31, 32, 58],
+    300: [31, 59],
+    310: [30, 59],
+    320: [29, 59],
+    330: [28, 29, 59],
+    340: [27, 28, 59],
+    350: [26, 27, 60],
+    360: [25, 26, 60],
+    370: [24, 25, 60],
+    380: [24, 60],
+    390: [23, 60],
+    400: [22, 23, 60],
+    410: [21, 61],
+    420: [20, 21, 61],
+    430: [19, 20, 61],
+    440: [18, 19, 61],
+    450: [18, 61],
+    460: [17, 61],
+    470: [16, 17, 61],
+    480: [15, 16, 61],
+    490: [15]
+  },
+  900: {
+    160: [47, 48, 49, 50, 51, 52],
+    170: [45, 46, 47, 48, 49, 50, 51, 52, 53],
+    180: [43, 44, 45, 46, 51, 52, 53, 54],
+    190: [42, 43, 44, 53, 54],
+    200: [41, 42, 43, 54, 55],
+    210: [40, 41, 54, 55],
+    220: [39, 40, 55, 56],
+    230: [38, 39, 56],
+    240: [37, 38, 56, 57],
+    250: [36, 37, 56, 57],
+    260: [35, 36, 57],
+    270: [34, 35, 57],
+    280: [33, 34, 57, 58],
+    290: [32, 33, 58],
+    300: [31, 32, 58],
+    310: [30, 31, 58],
+    320: [29, 30, 58, 59],
+    330: [28, 29, 59],
+    340: [27, 28, 59],
+    350: [26, 27, 59],
+    360: [26, 59],
+    370: [25, 59, 60],
+    380: [24, 60],
+    390: [23, 24, 60],
+    400: [22, 23, 60],
+    410: [21, 22, 60],
+    420: [20, 21, 60],
+    430: [19, 20, 60],
+    440: [19, 60],
+    450: [18, 61],
+    460: [17, 18, 61],
+    470: [16, 17, 61],
+    480: [15, 16, 61],
+    490: [15]
+  },
+  910: {
+    170: [46, 47, 48, 49, 50, 51],
+    180: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    190: [43, 44, 45, 46, 51, 52, 53],
+    200: [41, 42, 43, 52, 53, 54],
+    210: [40, 41, 42, 53, 54, 55],
+    220: [39, 40, 54, 55],
+    230: [38, 39, 55],
+    240: [37, 38, 55, 56],
+    250: [36, 37, 56],
+    260: [35, 36, 56],
+    270: [34, 35, 56, 57],
+    280: [33, 34, 57],
+    290: [32, 33, 57],
+    300: [31, 32, 57, 58],
+    310: [30, 31, 58],
+    320: [29, 30, 58],
+    330: [29, 58],
+    340: [28, 58],
+    350: [27, 28, 58, 59],
+    360: [26, 59],
+    370: [25, 26, 59],
+    380: [24, 25, 59],
+    390: [23, 24, 59],
+    400: [22, 23, 59],
+    410: [22, 60],
+    420: [21, 60],
+    430: [20, 60],
+    440: [19, 20, 60],
+    450: [18, 19, 60],
+    460: [17, 18, 60],
+    470: [17, 60],
+    480: [16],
+    490: [15, 16]
+  },
+  920: {
+    170: [48, 49],
+    180: [45, 46, 47, 48, 49, 50, 51],
+    190: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    200: [42, 43, 44, 45, 50, 51, 52, 53],
+    210: [41, 42, 43, 52, 53, 54],
+    220: [40, 41, 53, 54],
+    230: [38, 39, 40, 54, 55],
+    240: [37, 38, 39, 54, 55],
+    250: [36, 37, 38, 55, 56],
+    260: [35, 36, 55, 56],
+    270: [34, 35, 56],
+    280: [33, 34, 56],
+    290: [32, 33, 56, 57],
+    300: [32, 57],
+    310: [31, 57],
+    320: [30, 31, 57],
+    330: [29, 30, 57, 58],
+    340: [28, 29, 58],
+    350: [27, 28, 58],
+    360: [26, 27, 58],
+    370: [25, 26, 58],
+    380: [24, 25, 58, 59],
+    390: [24, 59],
+    400: [23, 59],
+    410: [22, 23, 59],
+    420: [21, 22, 59],
+    430: [20, 21, 59],
+    440: [19, 20, 59],
+    450: [18, 19, 60],
+    460: [18, 60],
+    470: [17, 60],
+    480: [16, 17, 60],
+    490: [16]
+  },
+  930: {
+    180: [47, 48, 49],
+    190: [44, 45, 46, 47, 48, 49, 50, 51],
+    200: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    210: [41, 42, 43, 44, 50, 51, 52, 53],
+    220: [40, 41, 42, 52, 53],
+    230: [39, 40, 41, 53, 54],
+    240: [38, 39, 53, 54],
+    250: [37, 38, 54, 55],
+    260: [36, 37, 55],
+    270: [35, 36, 55],
+    280: [34, 35, 55, 56],
+    290: [33, 34, 56],
+    300: [32, 33, 56],
+    310: [31, 32, 56, 57],
+    320: [30, 31, 57],
+    330: [29, 30, 57],
+    340: [28, 29, 57],
+    350: [27, 28, 57],
+    360: [26, 27, 58],
+    370: [26, 58],
+    380: [25, 58],
+    390: [24, 25, 58],
+    400: [23, 24, 58],
+    410: [22, 23, 59],
+    420: [21, 22, 59],
+    430: [21, 59],
+    440: [20, 59],
+    450: [19, 20, 59],
+    460: [18, 19, 59],
+    470: [17, 18, 59],
+    480: [16, 17, 60],
+    490: [16]
+  },
+  940: {
+    190: [46, 47, 48],
+    200: [44, 45, 46, 47, 48, 49, 50],
+    210: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    220: [41, 42, 43, 50, 51, 52],
+    230: [40, 41, 42, 51, 52, 53],
+    240: [38, 39, 40, 52, 53],
+    250: [37, 38, 39, 53, 54],
+    260: [36, 37, 38, 53, 54],
+    270: [35, 36, 54, 55],
+    280: [34, 35, 55],
+    290: [33, 34, 55],
+    300: [32, 33, 55, 56],
+    310: [31, 32, 56],
+    320: [30, 31, 56],
+    330: [30, 56],
+    340: [29, 56, 57],
+    350: [28, 29, 57],
+    360: [27, 57],
+    370: [26, 27, 57],
+    380: [25, 26, 57],
+    390: [24, 25, 58],
+    400: [23, 24, 58],
+    410: [22, 23, 58],
+    420: [22, 58],
+    430: [21, 58],
+    440: [20, 21, 58],
+    450: [19, 20, 59],
+    460: [18, 19, 59],
+    470: [17, 18, 59],
+    480: [17, 59]
+  },
+  950: {
+    200: [45, 46, 47, 48, 49],
+    210: [43, 44, 45, 46, 47, 48, 49, 50],
+    220: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    230: [40, 41, 42, 43, 50, 51, 52],
+    240: [39, 40, 41, 51, 52, 53],
+    250: [38, 39, 52, 53],
+    260: [37, 38, 53, 54],
+    270: [36, 37, 53, 54],
+    280: [35, 36, 54],
+    290: [34, 35, 54, 55],
+    300: [33, 34, 55],
+    310: [32, 33, 55],
+    320: [31, 32, 55, 56],
+    330: [30, 31, 56],
+    340: [29, 30, 56],
+    350: [28, 29, 56],
+    360: [27, 28, 56, 57],
+    370: [26, 27, 56, 57],
+    380: [25, 26, 57],
+    390: [25, 57],
+    400: [24, 57],
+    410: [23, 24, 57, 58],
+    420: [22, 23, 58],
+    430: [21, 22, 58],
+    440: [20, 21, 58],
+    450: [20, 58],
+    460: [19, 58],
+    470: [18, 19, 58],
+    480: [17, 18, 59],
+    490: [17]
+  },
+  960: {
+    210: [45, 46, 47, 48],
+    220: [43, 44, 45, 46, 47, 48, 49, 50],
+    230: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    240: [40, 41, 42, 49, 50, 51],
+    250: [38, 39, 40, 41, 51, 52],
+    260: [37, 38, 39, 51, 52, 53],
+    270: [36, 37, 38, 52, 53],
+    280: [35, 36, 53, 54],
+    290: [34, 35, 53, 54],
+    300: [33, 34, 54],
+    310: [32, 33, 54, 55],
+    320: [31, 32, 54, 55],
+    330: [30, 31, 55],
+    340: [29, 30, 55],
+    350: [29, 55, 56],
+    360: [27, 28, 56],
+    370: [27, 28, 56],
+    380: [26, 56],
+    390: [25, 26, 56, 57],
+    400: [24, 25, 57],
+    410: [23, 24, 57],
+    420: [22, 23, 57],
+    430: [22, 57],
+    440: [21, 57],
+    450: [20, 58],
+    460: [19, 20, 58],
+    470: [18, 19, 58],
+    480: [18, 58]
+  },
+  970: {
+    220: [45, 46, 47, 48],
+    230: [42, 43, 44, 45, 46, 47, 48, 49],
+    240: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    250: [39, 40, 41, 42, 49, 50, 51],
+    260: [38, 39, 40, 50, 51, 52],
+    270: [37, 38, 51, 52],
+    280: [36, 37, 52, 53],
+    290: [34, 35, 36, 52, 53],
+    300: [33, 34, 35, 53, 54],
+    310: [33, 34, 53, 54],
+    320: [32, 33, 54],
+    330: [31, 32, 54, 55],
+    340: [30, 31, 54, 55],
+    350: [29, 30, 55],
+    360: [28, 29, 55],
+    370: [27, 28, 55],
+    380: [26, 27, 56],
+    390: [25, 26, 56],
+    400: [24, 25, 56],
+    410: [24, 56],
+    420: [23, 56, 57],
+    430: [22, 23, 57],
+    440: [21, 22, 57],
+    450: [20, 21, 57],
+    460: [19, 20, 57],
+    470: [19, 57],
+    480: [18, 57, 58],
+    490: [18]
+  },
+  980: {
+    230: [44, 45, 46, 47],
+    240: [41, 42, 43, 44, 45, 46, 47, 48, 49],
+    250: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    260: [39, 40, 41, 48, 49, 50, 51],
+    270: [37, 38, 39, 50, 51],
+    280: [36, 37, 38, 51, 52],
+    290: [35, 36, 37, 51, 52],
+    300: [34, 35, 52, 53],
+    310: [33, 34, 53],
+    320: [32, 33, 53, 54],
+    330: [31, 32, 53, 54],
+    340: [30, 31, 54],
+    350: [29, 30, 54],
+    360: [28, 29, 54, 55],
+    370: [28, 55],
+    380: [27, 55],
+    390: [26, 27, 55],
+    400: [25, 26, 55, 56],
+    410: [24, 25, 56],
+    420: [23, 24, 56],
+    430: [22, 23, 56],
+    440: [22, 56],
+    450: [21, 57],
+    460: [20, 21, 57],
+    470: [19, 20, 57],
+    480: [18, 19, 57],
+    490: [18, 57]
+  },
+  990: {
+    240: [43, 44, 45, 46, 47],
+    250: [41, 42, 43, 44, 45, 46, 47, 48, 49],
+    260: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    270: [38, 39, 40, 41, 48, 49, 50],
+    280: [37, 38, 39, 49, 50, 51],
+    290: [36, 37, 50, 51],
+    300: [35, 36, 51, 52],
+    310: [34, 35, 51, 52],
+    320: [33, 34, 52, 53],
+    330: [32, 33, 52, 53],
+    340: [31, 32, 53],
+    350: [30, 31, 53, 54],
+    360: [29, 30, 54],
+    370: [28, 29, 54],
+    380: [27, 28, 54, 55],
+    390: [26, 27, 54, 55],
+    400: [25, 26, 55],
+    410: [25, 55],
+    420: [24, 55],
+    430: [23, 55, 56],
+    440: [22, 23, 56],
+    450: [21, 22, 56],
+    460: [20, 21, 56],
+    470: [20, 56],
+    480: [19, 56],
+    490: [18, 19],
+    500: [18]
+  },
+  1000: {
+    250: [43, 44, 45, 46, 47],
+    260: [41, 42, 43, 44, 45, 46, 47, 48],
+    270: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    280: [38, 39, 40, 48, 49, 50],
+    290: [36, 37, 38, 49, 50, 51],
+    300: [35, 36, 37, 50, 51],
+    310: [34, 35, 36, 51, 52],
+    320: [33, 34, 35, 51, 52],
+    330: [32, 33, 52],
+    340: [31, 32, 52, 53],
+    350: [30, 31, 52, 53],
+    360: [29, 30, 53],
+    370: [28, 29, 53, 54],
+    380: [27, 28, 53, 54],
+    390: [27, 54],
+    400: [26, 27, 54],
+    410: [25, 26, 54, 55],
+    420: [24, 25, 55],
+    430: [23, 24, 55],
+    440: [22, 23, 55],
+    450: [21, 22, 55],
+    460: [21, 55, 56],
+    470: [20, 56],
+    480: [19, 20, 56],
+    490: [19, 56]
+  },
+  1010: {
+    260: [42, 43, 44, 45, 46],
+    270: [40, 41, 42, 43, 44, 45, 46, 47, 48],
+    280: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    290: [37, 38, 39, 40, 47, 48, 49],
+    300: [36, 37, 38, 48, 49, 50],
+    310: [35, 36, 37, 49, 50, 51],
+    320: [34, 35, 50, 51],
+    330: [33, 34, 51, 52],
+    340: [32, 33, 51, 52],
+    350: [31, 32, 52],
+    360: [30, 31, 52, 53],
+    370: [29, 30, 52, 53],
+    380: [28, 29, 53],
+    390: [27, 28, 53, 54],
+    400: [26, 27, 53, 54],
+    410: [25, 26, 54],
+    420: [24, 25, 54],
+    430: [24, 54],
+    440: [23, 24, 54, 55],
+    450: [22, 23, 55],
+    460: [21, 22, 55],
+    470: [20, 21, 55],
+    480: [20, 55],
+    490: [19, 55]
+  },
+  1020: {
+    270: [42, 43, 44, 45, 46],
+    280: [40, 41, 42, 43, 44, 45, 46, 47],
+    290: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    300: [37, 38, 39, 40, 46, 47, 48, 49],
+    310: [36, 37, 38, 48, 49, 50],
+    320: [34, 35, 36, 49, 50],
+    330: [33, 34, 35, 50, 51],
+    340: [32, 33, 34, 50, 51],
+    350: [31, 32, 51, 52],
+    360: [30, 31, 51, 52],
+    370: [29, 30, 52],
+    380: [29, 30, 52, 53],
+    390: [27, 28, 29, 52, 53],
+    400: [27, 28, 53],
+    410: [26, 27, 53],
+    420: [25, 26, 53, 54],
+    430: [24, 25, 54],
+    440: [23, 24, 54],
+    450: [22, 23, 54],
+    460: [22, 54],
+    470: [21, 55],
+    480: [20, 21, 55],
+    490: [20, 55]
+  },
+  1030: {
+    280: [42, 43, 44, 45],
+    290: [39, 40, 41, 42, 43, 44, 45, 46, 47],
+    300: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    310: [36, 37, 38, 39, 46, 47, 48, 49],
+    320: [35, 36, 37, 47, 48, 49],
+    330: [34, 35, 36, 48, 49, 50],
+    340: [33, 34, 35, 49, 50],
+    350: [32, 33, 50, 51],
+    360: [31, 32, 50, 51],
+    370: [30, 31, 51],
+    380: [29, 30, 51, 52],
+    390: [28, 29, 52],
+    400: [27, 28, 52],
+    410: [26, 27, 52, 53],
+    420: [26, 53],
+    430: [25, 53],
+    440: [24, 25, 53],
+    450: [23, 53, 54],
+    460: [22, 23, 54],
+    470: [21, 22, 54],
+    480: [20, 21, 54],
+    490: [20, 54]
+  },
+  1040: {
+    290: [41, 42, 43, 44, 45],
+    300: [39, 40, 41, 42, 43, 44, 45, 46],
+    310: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    320: [36, 37, 38, 39, 45, 46, 47, 48],
+    330: [35, 36, 37, 47, 48, 49],
+    340: [34, 35, 36, 48, 49],
+    350: [33, 34, 49, 50],
+    360: [32, 33, 49, 50],
+    370: [30, 31, 32, 50, 51],
+    380: [29, 30, 31, 50, 51],
+    390: [29, 30, 51],
+    400: [28, 29, 51, 52],
+    410: [27, 28, 51, 52],
+    420: [26, 27, 52],
+    430: [25, 26, 52, 53],
+    440: [24, 25, 52, 53],
+    450: [23, 24, 53],
+    460: [23, 53],
+    470: [22, 23, 53],
+    480: [21, 22, 53, 54],
+    490: [21, 54]
+  },
+  1050: {
+    300: [41, 42, 43],
+    310: [39, 40, 41, 42, 43, 44, 45, 46],
+    320: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    330: [36, 37, 38, 39, 45, 46, 47, 48],
+    340: [35, 36, 37, 46, 47, 48],
+    350: [33, 34, 35, 47, 48, 49],
+    360: [32, 33, 34, 48, 49],
+    370: [31, 32, 49, 50],
+    380: [30, 31, 49, 50],
+    390: [29, 30, 50, 51],
+    400: [28, 29, 50, 51],
+    410: [28, 51],
+    420: [26, 27, 28, 51, 52],
+    430: [25, 26, 27, 51, 52],
+    440: [25, 52],
+    450: [24, 25, 52],
+    460: [23, 24, 52, 53],
+    470: [22, 23, 52, 53],
+    480: [21, 22, 53],
+    490: [21, 53]
+  },
+  1060: {
+    310: [41, 42, 43],
+    320: [39, 40, 41, 42, 43, 44, 45],
+    330: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    340: [35, 36, 37, 38, 39, 44, 45, 46, 47],
+    350: [34, 35, 36, 46, 47, 48],
+    360: [33, 34, 35, 47, 48],
+    370: [32, 33, 34, 48, 49],
+    380: [31, 32, 48, 49],
+    390: [30, 31, 49, 50],
+    400: [29, 30, 49, 50],
+    410: [28, 29, 50],
+    420: [27, 28, 50, 51],
+    430: [26, 27, 51],
+    440: [25, 26, 51],
+    450: [24, 25, 51, 52],
+    460: [24, 52],
+    470: [23, 24, 52],
+    480: [22, 23, 52],
+    490: [22, 52, 53]
+  },
+  1070: {
+    320: [42, 43],
+    330: [38, 39, 40, 41, 42, 43, 44],
+    340: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    350: [35, 36, 37, 38, 39, 43, 44, 45, 46, 47],
+    360: [34, 35, 36, 46, 47],
+    370: [33, 34, 35, 46, 47, 48],
+    380: [32, 33, 47, 48],
+    390: [31, 32, 48, 49],
+    400: [30, 31, 48, 49],
+    410: [28, 29, 30, 49, 50],
+    420: [28, 29, 49, 50],
+    430: [27, 28, 50],
+    440: [26, 27, 50, 51],
+    450: [25, 26, 50, 51],
+    460: [24, 25, 51],
+    470: [23, 24, 51],
+    480: [22, 23, 51, 52],
+    490: [22, 52],
+    500: [52]
+  },
+  1080: {
+    340: [38, 39, 40, 41, 42, 43, 44],
+    350: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    360: [35, 36, 37, 38, 39, 42, 43, 44, 45, 46],
+    370: [34, 35, 36, 45, 46, 47],
+    380: [33, 34, 35, 46, 47, 48],
+    390: [31, 32, 33, 47, 48],
+    400: [30, 31, 32, 47, 48, 49],
+    410: [29, 30, 48, 49],
+    420: [28, 29, 48, 49],
+    430: [27, 28, 49, 50],
+    440: [26, 27, 28, 49, 50],
+    450: [26, 27, 50],
+    460: [25, 26, 50],
+    470: [24, 25, 51],
+    480: [23, 24, 51],
+    490: [23, 51]
+  },
+  1090: {
+    350: [38, 39, 40, 41, 42, 43],
+    360: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    370: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    380: [34, 35, 36, 44, 45, 46],
+    390: [32, 33, 34, 45, 46, 47],
+    400: [31, 32, 33, 46, 47],
+    410: [30, 31, 47, 48],
+    420: [29, 30, 47, 48],
+    430: [28, 29, 48, 49],
+    440: [27, 28, 48, 49],
+    450: [26, 27, 49],
+    460: [25, 26, 49, 50],
+    470: [24, 25, 50],
+    480: [23, 24, 50],
+    490: [23, 24, 50]
+  },
+  1100: {
+    360: [38, 39, 40, 41, 42, 43],
+    370: [36, 37, 38, 39, 40, 41, 42, 43, 44],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    390: [33, 34, 35, 36, 43, 44, 45, 46],
+    400: [32, 33, 34, 45, 46, 47],
+    410: [31, 32, 33, 45, 46, 47],
+    420: [30, 31, 46, 47],
+    430: [29, 30, 47, 48],
+    440: [28, 29, 47, 48],
+    450: [27, 28, 48, 49],
+    460: [26, 27, 48, 49],
+    470: [25, 26, 49],
+    480: [24, 25, 49, 50],
+    490: [24, 49, 50]
+  },
+  1110: {
+    370: [38, 39, 40, 41],
+    380: [36, 37, 38, 39, 40, 41, 42, 43],
+    390: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    400: [33, 34, 35, 36, 42, 43, 44, 45],
+    410: [32, 33, 34, 44, 45, 46],
+    420: [31, 32, 33, 45, 46, 47],
+    430: [30, 31, 46, 47],
+    440: [29, 30, 46, 47, 48],
+    450: [27, 28, 29, 47, 48],
+    460: [26, 27, 28, 48],
+    470: [26, 27, 48, 49],
+    480: [25, 26, 48, 49],
+    490: [25, 49],
+    500: [49]
+  },
+  1120: {
+    380: [39, 40, 41],
+    390: [36, 37, 38, 39, 40, 41, 42, 43],
+    400: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    410: [33, 34, 35, 36, 42, 43, 44, 45],
+    420: [32, 33, 34, 43, 44, 45],
+    430: [30, 31, 32, 33, 45, 46],
+    440: [29, 30, 31, 45, 46],
+    450: [28, 29, 30, 46, 47],
+    460: [27, 28, 29, 46, 47],
+    470: [26, 27, 47, 48],
+    480: [25, 26, 27, 47, 48],
+    490: [25, 26, 48]
+  },
+  1130: {
+    390: [39, 40],
+    400: [36, 37, 38, 39, 40, 41, 42],
+    410: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    420: [33, 34, 35, 36, 39, 40, 41, 42, 43, 44],
+    430: [31, 32, 33, 34, 42, 43, 44, 45],
+    440: [30, 31, 32, 33, 44, 45, 46],
+    450: [29, 30, 31, 44, 45, 46],
+    460: [28, 29, 30, 45, 46, 47],
+    470: [27, 28, 46, 47],
+    480: [26, 27, 46, 47],
+    490: [26, 47]
+  },
+  1140: {
+    410: [36, 37, 38, 39, 40, 41],
+    420: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    430: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    440: [31, 32, 33, 34, 42, 43, 44],
+    450: [30, 31, 32, 33, 43, 44, 45],
+    460: [29, 30, 31, 44, 45],
+    470: [28, 29, 45, 46],
+    480: [27, 28, 45, 46],
+    490: [27, 46, 47],
+    500: [46]
+  },
+  1150: {
+    420: [36, 37, 38, 39, 40],
+    430: [34, 35, 36, 37, 38, 39, 40, 41, 42],
+    440: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    450: [31, 32, 33, 34, 35, 41, 42, 43, 44],
+    460: [30, 31, 32, 33, 42, 43, 44],
+    470: [29, 30, 31, 43, 44, 45],
+    480: [28, 29, 44, 45],
+    490: [28, 45, 46],
+    500: [46]
+  },
+  1160: {
+    430: [36, 37, 38, 39],
+    440: [34, 35, 36, 37, 38, 39, 40, 41],
+    450: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    460: [31, 32, 33, 34, 35, 39, 40, 41, 42, 43],
+    470: [30, 31, 32, 33, 41, 42, 43, 44],
+    480: [29, 30, 31, 43, 44],
+    490: [28, 29, 43, 44],
+    500: [44]
+  },
+  1170: {
+    450: [34, 35, 36, 37, 38, 39, 40],
+    460: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    470: [31, 32, 33, 34, 35, 36, 38, 39, 40, 41, 42, 43],
+    480: [30, 31, 32, 33, 41, 42, 43],
+    490: [29, 30, 31, 42, 43, 44]
+  },
+  1180: {
+    460: [35, 36, 37, 38, 39],
+    470: [33, 34, 35, 36, 37, 38, 39, 40, 41],
+    480: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    490: [30, 31, 32, 33, 34, 40, 41, 42],
+    500: [42]
+  },
+  1190: {
+    470: [35, 36, 37, 38],
+    480: [33, 34, 35, 36, 37, 38, 39, 40],
+    490: [32, 34, 35, 36, 37, 38, 39]
+  }
+};
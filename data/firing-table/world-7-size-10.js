@@ -0,0 +1,5271 @@
+// Firing Table Data for World 7
+// Cannonball size level 10 (radius 16.0px)
+// Generated on 2026-10-19T18:31:50.947Z
+export default {
+  0: {
+    0: [95, 100, 101, 102, 103],
+    10: [95, 101, 102, 103],
+    20: [95, 101, 102, 103, 104],
+    30: [95, 101, 102, 103, 104],
+    40: [95, 102, 103, 104],
+    50: [95, 102, 103, 104, 105],
+    60: [95, 102, 103, 104, 105],
+    70: [94, 95, 103, 104, 105, 106],
+    80: [94, 95, 103, 104, 105, 106],
+    90: [94, 95, 103, 104, 105, 106, 107],
+    100: [94, 95, 104, 105, 106, 107],
+    110: [94, 95, 104, 105, 106, 107, 108],
+    120: [94, 95, 105, 106, 107, 108, 109],
+    130: [94, 95, 105, 106, 107, 108, 109],
+    140: [94, 95, 106, 107, 108, 109, 110],
+    150: [94, 95, 106, 107, 108, 109, 110],
+    160: [94, 95, 107, 108, 109, 110, 111],
+    170: [94, 95, 107, 108, 109, 110, 111, 112],
+    180: [94, 95, 108, 109, 110, 111, 112, 113],
+    190: [94, 95, 108, 109, 110, 111, 112, 113],
+    200: [94, 95, 109, 110, 111, 112, 113, 114],
+    210: [94, 95, 110, 111, 112, 113, 114, 115],
+    220: [94, 95, 111, 112, 113, 114, 115, 116],
+    230: [94, 95, 111, 112, 113, 114, 115, 116, 117],
+    240: [94, 112, 113, 114, 115, 116, 117, 118],
+    250: [94, 113, 114, 115, 116, 117, 118, 119],
+    260: [94, 114, 115, 116, 117, 118, 119, 120, 121],
+    270: [94, 115, 116, 117, 118, 119, 120, 121, 122],
+    280: [94, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    290: [94, 118, 119, 120, 121, 122, 123, 124, 125],
+    300: [94, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    310: [94, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    320: [94, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    330: [94, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    340: [94, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    350: [94, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    360: [94, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    370: [94, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    380: [94, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    390: [94, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    400: [94, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    410: [94, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    420: [94, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    430: [94, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    440: [94, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    450: [94, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [94, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [94, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [94, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    490: [94, 179, 180, 181, 182, 183]
+  },
+  10: {
+    0: [94, 95, 99, 100, 101, 102],
+    10: [94, 95, 100, 101, 102],
+    20: [94, 95, 100, 101, 102, 103],
+    30: [94, 95, 100, 101, 102, 103],
+    40: [94, 95, 101, 102, 103],
+    50: [94, 95, 101, 102, 103, 104],
+    60: [94, 95, 101, 102, 103, 104],
+    70: [94, 102, 103, 104, 105],
+    80: [94, 102, 103, 104, 105],
+    90: [94, 102, 103, 104, 105, 106],
+    100: [94, 103, 104, 105, 106],
+    110: [94, 103, 104, 105, 106, 107],
+    120: [94, 103, 104, 105, 106, 107],
+    130: [94, 104, 105, 106, 107, 108],
+    140: [94, 104, 105, 106, 107, 108],
+    150: [94, 105, 106, 107, 108, 109],
+    160: [94, 105, 106, 107, 108, 109, 110],
+    170: [94, 106, 107, 108, 109, 110],
+    180: [94, 106, 107, 108, 109, 110, 111],
+    190: [94, 107, 108, 109, 110, 111, 112],
+    200: [94, 107, 108, 109, 110, 111, 112, 113],
+    210: [94, 108, 109, 110, 111, 112, 113],
+    220: [94, 109, 110, 111, 112, 113, 114, 115],
+    230: [94, 110, 111, 112, 113, 114, 115],
+    240: [94, 110, 111, 112, 113, 114, 115, 116, 117],
+    250: [94, 111, 112, 113, 114, 115, 116, 117, 118],
+    260: [94, 112, 113, 114, 115, 116, 117, 118, 119],
+    270: [94, 113, 114, 115, 116, 117, 118, 119, 120],
+    280: [94, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    290: [94, 116, 117, 118, 119, 120, 121, 122, 123],
+    300: [94, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    310: [94, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    320: [94, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    330: [94, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    340: [94, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    350: [94, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    360: [94, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    370: [94, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    380: [94, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    390: [94, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    400: [94, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    410: [94, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    420: [94, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    430: [94, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    440: [94, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    450: [94, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    460: [94, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [94, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [94, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    490: [94, 178, 179, 180, 181, 182, 183],
+    500: [183]
+  },
+  20: {
+    0: [94, 99, 100, 101],
+    10: [94, 99, 100, 101],
+    20: [94, 99, 100, 101, 102],
+    30: [94, 99, 100, 101, 102],
+    40: [94, 99, 100, 101, 102],
+    50: [94, 100, 101, 102, 103],
+    60: [94, 100, 101, 102, 103],
+    70: [94, 100, 101, 102, 103, 104],
+    80: [94, 101, 102, 103, 104],
+    90: [94, 101, 102, 103, 104],
+    100: [94, 101, 102, 103, 104, 105],
+    110: [94, 102, 103, 104, 105],
+    120: [94, 102, 103, 104, 105, 106],
+    130: [94, 102, 103, 104, 105, 106, 107],
+    140: [94, 103, 104, 105, 106, 107],
+    150: [94, 103, 104, 105, 106, 107, 108],
+    160: [94, 104, 105, 106, 107, 108],
+    170: [94, 104, 105, 106, 107, 108, 109],
+    180: [94, 105, 106, 107, 108, 109, 110],
+    190: [94, 105, 106, 107, 108, 109, 110],
+    200: [94, 106, 107, 108, 109, 110, 111],
+    210: [94, 106, 107, 108, 109, 110, 111, 112],
+    220: [94, 107, 108, 109, 110, 111, 112, 113],
+    230: [93, 94, 108, 109, 110, 111, 112, 113, 114],
+    240: [93, 94, 108, 109, 110, 111, 112, 113, 114, 115],
+    250: [93, 94, 109, 110, 111, 112, 113, 114, 115, 116],
+    260: [93, 94, 110, 111, 112, 113, 114, 115, 116, 117],
+    270: [93, 94, 111, 112, 113, 114, 115, 116, 117, 118],
+    280: [93, 94, 112, 113, 114, 115, 116, 117, 118, 119],
+    290: [93, 94, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    300: [93, 94, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    310: [93, 94, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    320: [93, 94, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    330: [93, 94, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    340: [93, 94, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    350: [93, 94, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    360: [93, 94, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    370: [93, 94, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    380: [93, 94, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    390: [93, 94, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    400: [93, 94, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    410: [93, 94, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    420: [93, 94, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    430: [93, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    440: [93, 94, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    450: [93, 94, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [93, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [93, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [93, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    490: [93, 179, 180, 181, 182, 183, 184, 185]
+  },
+  30: {
+    0: [93, 94, 98, 99, 100],
+    10: [93, 94, 98, 99, 100],
+    20: [93, 94, 98, 99, 100, 101],
+    30: [93, 94, 98, 99, 100, 101],
+    40: [93, 94, 98, 99, 100, 101],
+    50: [93, 94, 99, 100, 101, 102],
+    60: [93, 94, 99, 100, 101, 102],
+    70: [93, 94, 99, 100, 101, 102],
+    80: [93, 94, 100, 101, 102, 103],
+    90: [93, 94, 100, 101, 102, 103],
+    100: [93, 94, 100, 101, 102, 103, 104],
+    110: [93, 94, 100, 101, 102, 103, 104],
+    120: [93, 94, 101, 102, 103, 104, 105],
+    130: [93, 94, 101, 102, 103, 104, 105],
+    140: [93, 94, 101, 102, 103, 104, 105, 106],
+    150: [93, 94, 102, 103, 104, 105, 106],
+    160: [93, 94, 102, 103, 104, 105, 106, 107],
+    170: [93, 94, 103, 104, 105, 106, 107],
+    180: [93, 103, 104, 105, 106, 107, 108],
+    190: [93, 104, 105, 106, 107, 108, 109],
+    200: [93, 104, 105, 106, 107, 108, 109],
+    210: [93, 104, 105, 106, 107, 108, 109, 110],
+    220: [93, 105, 106, 107, 108, 109, 110, 111],
+    230: [93, 106, 107, 108, 109, 110, 111, 112],
+    240: [93, 107, 108, 109, 110, 111, 112, 113],
+    250: [93, 107, 108, 109, 110, 111, 112, 113, 114],
+    260: [93, 108, 109, 110, 111, 112, 113, 114, 115],
+    270: [93, 109, 110, 111, 112, 113, 114, 115, 116],
+    280: [93, 110, 111, 112, 113, 114, 115, 116, 117],
+    290: [93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    300: [93, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    310: [93, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    320: [93, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    330: [93, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    340: [93, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    350: [93, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    360: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    370: [93, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    380: [93, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    390: [93, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    400: [93, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    410: [93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    420: [93, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    430: [93, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    440: [93, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [93, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [93, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    470: [93, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    480: [93, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    490: [93, 178, 179, 180, 181, 182, 183, 184, 185],
+    500: [185]
+  },
+  40: {
+    0: [93, 94, 97, 98, 99],
+    10: [93, 97, 98, 99],
+    20: [93, 97, 98, 99, 100],
+    30: [93, 97, 98, 99, 100],
+    40: [93, 97, 98, 99, 100],
+    50: [93, 98, 99, 100, 101],
+    60: [93, 98, 99, 100, 101],
+    70: [93, 98, 99, 100, 101],
+    80: [93, 98, 99, 100, 101, 102],
+    90: [93, 99, 100, 101, 102],
+    100: [93, 99, 100, 101, 102],
+    110: [93, 99, 100, 101, 102, 103],
+    120: [93, 99, 100, 101, 102, 103],
+    130: [93, 100, 101, 102, 103, 104],
+    140: [93, 100, 101, 102, 103, 104],
+    150: [93, 100, 101, 102, 103, 104, 105],
+    160: [93, 101, 102, 103, 104, 105],
+    170: [93, 101, 102, 103, 104, 105, 106],
+    180: [93, 101, 102, 103, 104, 105, 106],
+    190: [93, 102, 103, 104, 105, 106, 107],
+    200: [93, 102, 103, 104, 105, 106, 107, 108],
+    210: [93, 103, 104, 105, 106, 107, 108, 109],
+    220: [93, 103, 104, 105, 106, 107, 108, 109],
+    230: [93, 104, 105, 106, 107, 108, 109, 110],
+    240: [93, 104, 105, 106, 107, 108, 109, 110, 111],
+    250: [93, 105, 106, 107, 108, 109, 110, 111, 112],
+    260: [93, 106, 107, 108, 109, 110, 111, 112, 113],
+    270: [93, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    280: [93, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    290: [93, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    300: [93, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    310: [93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    320: [93, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    330: [93, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    340: [93, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    350: [93, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    360: [93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    370: [93, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    380: [93, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    390: [93, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    400: [93, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    410: [93, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    420: [93, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    430: [93, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    440: [93, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167],
+    450: [93, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [93, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [93, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    480: [93, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    490: [93, 178, 179, 180, 181, 182, 183, 184, 185],
+    500: [185]
+  },
+  50: {
+    0: [93, 96, 97, 98],
+    10: [93, 96, 97, 98],
+    20: [93, 96, 97, 98, 99],
+    30: [93, 96, 97, 98, 99],
+    40: [93, 96, 97, 98, 99],
+    50: [93, 96, 97, 98, 99],
+    60: [93, 97, 98, 99, 100],
+    70: [93, 97, 98, 99, 100],
+    80: [93, 97, 98, 99, 100],
+    90: [93, 97, 98, 99, 100, 101],
+    100: [92, 93, 97, 98, 99, 100, 101],
+    110: [92, 93, 98, 99, 100, 101, 102],
+    120: [92, 93, 98, 99, 100, 101, 102],
+    130: [92, 93, 98, 99, 100, 101, 102],
+    140: [92, 93, 98, 99, 100, 101, 102, 103],
+    150: [92, 93, 99, 100, 101, 102, 103],
+    160: [92, 93, 99, 100, 101, 102, 103, 104],
+    170: [92, 93, 99, 100, 101, 102, 103, 104],
+    180: [92, 93, 100, 101, 102, 103, 104, 105],
+    190: [92, 93, 100, 101, 102, 103, 104, 105],
+    200: [92, 93, 101, 102, 103, 104, 105, 106],
+    210: [92, 93, 101, 102, 103, 104, 105, 106, 107],
+    220: [92, 93, 101, 102, 103, 104, 105, 106, 107],
+    230: [92, 93, 102, 103, 104, 105, 106, 107, 108],
+    240: [92, 93, 102, 103, 104, 105, 106, 107, 108, 109],
+    250: [92, 93, 103, 104, 105, 106, 107, 108, 109],
+    260: [92, 93, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    270: [92, 93, 104, 105, 106, 107, 108, 109, 110, 111],
+    280: [92, 93, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    290: [92, 93, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    300: [92, 93, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    310: [92, 93, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    320: [92, 93, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    330: [92, 93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    340: [92, 93, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    350: [92, 93, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    360: [92, 93, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    370: [92, 93, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    380: [92, 93, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    390: [92, 93, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    400: [92, 93, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    410: [92, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    420: [92, 93, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    430: [92, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    440: [92, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    450: [92, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    460: [92, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    470: [92, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    480: [92, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    490: [92, 179, 180, 181, 182, 183, 184, 185, 186, 187]
+  },
+  60: {
+    0: [92, 93, 95, 96, 97],
+    10: [92, 93, 95, 96, 97],
+    20: [92, 93, 95, 96, 97, 98],
+    30: [92, 93, 95, 96, 97, 98],
+    40: [92, 93, 95, 96, 97, 98],
+    50: [92, 93, 95, 96, 97, 98],
+    60: [92, 93, 95, 96, 97, 98, 99],
+    70: [92, 93, 96, 97, 98, 99],
+    80: [92, 93, 96, 97, 98, 99],
+    90: [92, 93, 96, 97, 98, 99, 100],
+    100: [92, 96, 97, 98, 99, 100],
+    110: [92, 96, 97, 98, 99, 100],
+    120: [92, 97, 98, 99, 100, 101],
+    130: [92, 97, 98, 99, 100, 101],
+    140: [92, 97, 98, 99, 100, 101],
+    150: [92, 97, 98, 99, 100, 101, 102],
+    160: [92, 97, 98, 99, 100, 101, 102],
+    170: [92, 98, 99, 100, 101, 102, 103],
+    180: [92, 98, 99, 100, 101, 102, 103],
+    190: [92, 98, 99, 100, 101, 102, 103, 104],
+    200: [92, 99, 100, 101, 102, 103, 104],
+    210: [92, 99, 100, 101, 102, 103, 104, 105],
+    220: [92, 99, 100, 101, 102, 103, 104, 105, 106],
+    230: [92, 100, 101, 102, 103, 104, 105, 106],
+    240: [92, 100, 101, 102, 103, 104, 105, 106, 107],
+    250: [92, 101, 102, 103, 104, 105, 106, 107],
+    260: [92, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    270: [92, 102, 103, 104, 105, 106, 107, 108, 109],
+    280: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    290: [92, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    300: [92, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    310: [92, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    320: [92, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    330: [92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    340: [92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    350: [92, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    360: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    370: [92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    380: [92, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    390: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    400: [92, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    410: [92, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    420: [92, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    430: [92, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    440: [92, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    450: [92, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [92, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    470: [92, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    480: [92, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    490: [92, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    500: [187]
+  },
+  70: {
+    0: [92, 94, 95, 96],
+    10: [92, 94, 95, 96],
+    20: [92, 94, 95, 96, 97],
+    30: [92, 94, 95, 96, 97],
+    40: [92, 94, 95, 96, 97],
+    50: [92, 94, 95, 96, 97],
+    60: [92, 94, 95, 96, 97],
+    70: [92, 94, 95, 96, 97, 98],
+    80: [92, 95, 96, 97, 98],
+    90: [92, 95, 96, 97, 98],
+    100: [92, 95, 96, 97, 98],
+    110: [92, 95, 96, 97, 98, 99],
+    120: [92, 95, 96, 97, 98, 99],
+    130: [92, 95, 96, 97, 98, 99],
+    140: [92, 95, 96, 97, 98, 99, 100],
+    150: [92, 96, 97, 98, 99, 100],
+    160: [92, 96, 97, 98, 99, 100],
+    170: [92, 96, 97, 98, 99, 100, 101],
+    180: [92, 96, 97, 98, 99, 100, 101],
+    190: [92, 96, 97, 98, 99, 100, 101, 102],
+    200: [92, 97, 98, 99, 100, 101, 102],
+    210: [92, 97, 98, 99, 100, 101, 102, 103],
+    220: [92, 97, 98, 99, 100, 101, 102, 103, 104],
+    230: [92, 98, 99, 100, 101, 102, 103, 104],
+    240: [92, 98, 99, 100, 101, 102, 103, 104, 105],
+    250: [92, 98, 99, 100, 101, 102, 103, 104, 105],
+    260: [92, 99, 100, 101, 102, 103, 104, 105, 106],
+    270: [92, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    280: [92, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    290: [92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    300: [92, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    310: [92, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    320: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    330: [92, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    340: [92, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    350: [92, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    360: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    370: [92, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    380: [92, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    390: [92, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    400: [92, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    410: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    420: [92, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    430: [92, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    440: [92, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    450: [92, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    460: [92, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177],
+    470: [92, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    480: [92, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    490: [92, 182, 183, 184, 185, 186, 187]
+  },
+  80: {
+    0: [91, 92, 93, 94, 95],
+    10: [91, 92, 93, 94, 95],
+    20: [91, 92, 93, 94, 95, 96],
+    30: [91, 92, 93, 94, 95, 96],
+    40: [91, 92, 93, 94, 95, 96],
+    50: [91, 92, 93, 94, 95, 96],
+    60: [91, 92, 93, 94, 95, 96],
+    70: [91, 92, 93, 94, 95, 96, 97],
+    80: [91, 92, 93, 94, 95, 96, 97],
+    90: [91, 92, 93, 94, 95, 96, 97],
+    100: [91, 92, 94, 95, 96, 97],
+    110: [91, 92, 94, 95, 96, 97],
+    120: [91, 92, 94, 95, 96, 97, 98],
+    130: [91, 92, 94, 95, 96, 97, 98],
+    140: [91, 92, 94, 95, 96, 97, 98],
+    150: [91, 92, 94, 95, 96, 97, 98, 99],
+    160: [91, 92, 94, 95, 96, 97, 98, 99],
+    170: [91, 92, 94, 95, 96, 97, 98, 99],
+    180: [91, 92, 94, 95, 96, 97, 98, 99, 100],
+    190: [91, 92, 95, 96, 97, 98, 99, 100],
+    200: [91, 92, 95, 96, 97, 98, 99, 100, 101],
+    210: [91, 92, 95, 96, 97, 98, 99, 100, 101],
+    220: [91, 92, 95, 96, 97, 98, 99, 100, 101, 102],
+    230: [91, 92, 95, 96, 97, 98, 99, 100, 101, 102],
+    240: [91, 92, 96, 97, 98, 99, 100, 101, 102, 103],
+    250: [91, 92, 96, 97, 98, 99, 100, 101, 102, 103],
+    260: [91, 92, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    270: [91, 92, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    280: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    290: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    300: [91, 92, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    310: [91, 92, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    320: [91, 92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    330: [91, 92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    340: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    350: [91, 92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    360: [91, 92, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    370: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    380: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    390: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    400: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    410: [91, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    420: [91, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    430: [91, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    440: [91, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    450: [91, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  90: {
+    0: [91, 92, 93, 94],
+    10: [91, 92, 93, 94],
+    20: [91, 92, 93, 94, 95],
+    30: [91, 92, 93, 94, 95],
+    40: [91, 92, 93, 94, 95],
+    50: [91, 92, 93, 94, 95],
+    60: [91, 92, 93, 94, 95],
+    70: [91, 92, 93, 94, 95],
+    80: [91, 92, 93, 94, 95, 96],
+    90: [91, 92, 93, 94, 95, 96],
+    100: [91, 92, 93, 94, 95, 96],
+    110: [91, 92, 93, 94, 95, 96],
+    120: [91, 92, 93, 94, 95, 96],
+    130: [91, 92, 93, 94, 95, 96, 97],
+    140: [91, 92, 93, 94, 95, 96, 97],
+    150: [91, 92, 93, 94, 95, 96, 97],
+    160: [91, 93, 94, 95, 96, 97],
+    170: [91, 93, 94, 95, 96, 97, 98],
+    180: [91, 93, 94, 95, 96, 97, 98],
+    190: [91, 93, 94, 95, 96, 97, 98],
+    200: [91, 93, 94, 95, 96, 97, 98, 99],
+    210: [91, 93, 94, 95, 96, 97, 98, 99],
+    220: [91, 93, 94, 95, 96, 97, 98, 99],
+    230: [91, 93, 94, 95, 96, 97, 98, 99, 100],
+    240: [91, 93, 94, 95, 96, 97, 98, 99, 100],
+    250: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    260: [91, 94, 95, 96, 97, 98, 99, 100, 101],
+    270: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    280: [91, 95, 96, 97, 98, 99, 100, 101, 102],
+    290: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    300: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    310: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    320: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    330: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    340: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    350: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    360: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    370: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    380: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    390: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    400: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    410: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    420: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    430: [91, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    440: [91, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  100: {
+    0: [91, 92, 93],
+    10: [91, 92, 93],
+    20: [91, 92, 93],
+    30: [91, 92, 93, 94],
+    40: [91, 92, 93, 94],
+    50: [91, 92, 93, 94],
+    60: [91, 92, 93, 94],
+    70: [91, 92, 93, 94],
+    80: [91, 92, 93, 94],
+    90: [91, 92, 93, 94],
+    100: [91, 92, 93, 94, 95],
+    110: [91, 92, 93, 94, 95],
+    120: [91, 92, 93, 94, 95],
+    130: [91, 92, 93, 94, 95],
+    140: [91, 92, 93, 94, 95],
+    150: [91, 92, 93, 94, 95, 96],
+    160: [91, 92, 93, 94, 95, 96],
+    170: [91, 92, 93, 94, 95, 96],
+    180: [91, 92, 93, 94, 95, 96],
+    190: [91, 92, 93, 94, 95, 96],
+    200: [91, 92, 93, 94, 95, 96, 97],
+    210: [91, 92, 93, 94, 95, 96, 97],
+    220: [91, 92, 93, 94, 95, 96, 97],
+    230: [91, 92, 93, 94, 95, 96, 97, 98],
+    240: [91, 92, 93, 94, 95, 96, 97, 98],
+    250: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    260: [91, 92, 93, 94, 95, 96, 97, 98],
+    270: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    280: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    290: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    300: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    310: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    320: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    330: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    340: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    350: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    360: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    370: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    380: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    390: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    400: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    410: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    420: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    430: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  110: {
+    0: [90, 91, 92],
+    10: [90, 91, 92],
+    20: [90, 91, 92],
+    30: [90, 91, 92, 93],
+    40: [90, 91, 92, 93],
+    50: [90, 91, 92, 93],
+    60: [90, 91, 92, 93],
+    70: [90, 91, 92, 93],
+    80: [89, 90, 91, 92, 93],
+    90: [89, 90, 91, 92, 93],
+    100: [90, 91, 92, 93],
+    110: [89, 90, 91, 92, 93],
+    120: [89, 90, 91, 92, 93, 94],
+    130: [89, 90, 91, 92, 93, 94],
+    140: [89, 90, 91, 92, 93, 94],
+    150: [89, 90, 91, 92, 93, 94],
+    160: [89, 90, 91, 92, 93, 94],
+    170: [89, 90, 91, 92, 93, 94],
+    180: [89, 90, 91, 92, 93, 94],
+    190: [89, 90, 91, 92, 93, 94],
+    200: [89, 90, 91, 92, 93, 94, 95],
+    210: [89, 90, 91, 92, 93, 94, 95],
+    220: [89, 90, 91, 92, 93, 94, 95],
+    230: [89, 90, 91, 92, 93, 94, 95, 96],
+    240: [89, 90, 91, 92, 93, 94, 95, 96],
+    250: [89, 90, 91, 92, 93, 94, 95, 96],
+    260: [89, 90, 91, 92, 93, 94, 95, 96],
+    270: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    280: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    290: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    300: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    310: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    320: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    330: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    340: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    350: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    360: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    370: [86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    380: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    390: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    400: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    410: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    420: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    430: [90, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90],
+    490: [90]
+  },
+  120: {
+    0: [89, 90, 91],
+    10: [89, 90, 91],
+    20: [89, 90, 91],
+    30: [89, 90, 91],
+    40: [88, 89, 90, 91, 92],
+    50: [88, 89, 90, 91, 92],
+    60: [88, 89, 90, 91, 92],
+    70: [88, 89, 90, 91, 92],
+    80: [88, 89, 90, 91, 92],
+    90: [88, 89, 90, 91, 92],
+    100: [88, 89, 90, 91, 92],
+    110: [88, 89, 90, 91, 92],
+    120: [88, 89, 90, 91, 92],
+    130: [88, 89, 90, 91, 92],
+    140: [88, 89, 90, 91, 92],
+    150: [88, 89, 90, 91, 92],
+    160: [88, 89, 90, 91, 92],
+    170: [88, 89, 90, 91, 92],
+    180: [87, 88, 89, 90, 91, 92, 93],
+    190: [87, 88, 89, 90, 91, 92, 93],
+    200: [87, 88, 89, 90, 91, 92, 93],
+    210: [87, 88, 89, 90, 91, 92, 93],
+    220: [87, 88, 89, 90, 91, 92, 93],
+    230: [87, 88, 89, 90, 91, 92, 93],
+    240: [87, 88, 89, 90, 91, 92, 93],
+    250: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    260: [87, 88, 89, 90, 91, 92, 93],
+    270: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    280: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    290: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    300: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    310: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    320: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    330: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    340: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    350: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    360: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    370: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    380: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    390: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    400: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    410: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    420: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    430: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90],
+    490: [90]
+  },
+  130: {
+    0: [88, 89, 90],
+    10: [88, 89, 90],
+    20: [88, 89, 90],
+    30: [87, 88, 89, 90],
+    40: [87, 88, 89, 90],
+    50: [87, 88, 89, 90],
+    60: [87, 88, 89, 90],
+    70: [87, 88, 89, 90],
+    80: [87, 88, 89, 90, 91],
+    90: [87, 88, 89, 90, 91],
+    100: [87, 88, 89, 90],
+    110: [87, 88, 89, 90, 91],
+    120: [86, 87, 88, 89, 90, 91],
+    130: [86, 87, 88, 89, 90, 91],
+    140: [86, 87, 88, 89, 90, 91],
+    150: [86, 87, 88, 89, 90, 91],
+    160: [86, 87, 88, 89, 90, 91],
+    170: [86, 87, 88, 89, 90, 91],
+    180: [86, 87, 88, 89, 90, 91],
+    190: [86, 87, 88, 89, 90, 91],
+    200: [85, 86, 87, 88, 89, 90, 91],
+    210: [85, 86, 87, 88, 89, 90, 91],
+    220: [85, 86, 87, 88, 89, 90, 91],
+    230: [84, 85, 86, 87, 88, 89, 90, 91],
+    240: [84, 85, 86, 87, 88, 89, 90, 91],
+    250: [84, 85, 86, 87, 88, 89, 90, 91],
+    260: [84, 85, 86, 87, 88, 89, 90, 91],
+    270: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    280: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    290: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    300: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    310: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    320: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    330: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    340: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    350: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    360: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    370: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94],
+    380: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    390: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    400: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    410: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    420: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    430: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90],
+    490: [90]
+  },
+  140: {
+    0: [87, 88, 89],
+    10: [87, 88, 89],
+    20: [87, 88, 89],
+    30: [86, 87, 88, 89],
+    40: [86, 87, 88, 89],
+    50: [86, 87, 88, 89],
+    60: [86, 87, 88, 89],
+    70: [86, 87, 88, 89],
+    80: [86, 87, 88, 89],
+    90: [86, 87, 88, 89],
+    100: [85, 86, 87, 88, 89],
+    110: [85, 86, 87, 88, 89],
+    120: [85, 86, 87, 88, 89],
+    130: [85, 86, 87, 88, 89],
+    140: [85, 86, 87, 88, 89],
+    150: [84, 85, 86, 87, 88, 89],
+    160: [84, 85, 86, 87, 88, 89],
+    170: [84, 85, 86, 87, 88, 89],
+    180: [84, 85, 86, 87, 88, 89],
+    190: [84, 85, 86, 87, 88, 89],
+    200: [83, 84, 85, 86, 87, 88, 89],
+    210: [83, 84, 85, 86, 87, 88, 89],
+    220: [83, 84, 85, 86, 87, 88, 89],
+    230: [82, 83, 84, 85, 86, 87, 88, 89],
+    240: [82, 83, 84, 85, 86, 87, 88, 89],
+    250: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    260: [82, 83, 84, 85, 86, 87, 88, 89],
+    270: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    280: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    290: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    300: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    310: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    320: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    330: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    340: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    350: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    360: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    370: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    380: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    390: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    400: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    410: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    420: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    430: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  150: {
+    0: [86, 87, 88, 89],
+    10: [86, 87, 88, 89],
+    20: [85, 86, 87, 88, 89],
+    30: [85, 86, 87, 88, 89],
+    40: [85, 86, 87, 88, 89],
+    50: [85, 86, 87, 88, 89],
+    60: [85, 86, 87, 88, 89],
+    70: [85, 86, 87, 88, 89],
+    80: [84, 85, 86, 87, 88, 89],
+    90: [84, 85, 86, 87, 88, 89],
+    100: [84, 85, 86, 87, 88, 89],
+    110: [84, 85, 86, 87, 88, 89],
+    120: [84, 85, 86, 87, 88, 89],
+    130: [83, 84, 85, 86, 87, 88, 89],
+    140: [83, 84, 85, 86, 87, 88, 89],
+    150: [83, 84, 85, 86, 87, 88, 89],
+    160: [83, 84, 85, 86, 87, 89],
+    170: [82, 83, 84, 85, 86, 87, 89],
+    180: [82, 83, 84, 85, 86, 87, 89],
+    190: [82, 83, 84, 85, 86, 87, 89],
+    200: [81, 82, 83, 84, 85, 86, 87, 89],
+    210: [81, 82, 83, 84, 85, 86, 87, 89],
+    220: [81, 82, 83, 84, 85, 86, 87, 89],
+    230: [80, 81, 82, 83, 84, 85, 86, 87, 89],
+    240: [80, 81, 82, 83, 84, 85, 86, 87, 89],
+    250: [79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    260: [79, 80, 81, 82, 83, 84, 85, 86, 89],
+    270: [78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    280: [78, 79, 80, 81, 82, 83, 84, 85, 89],
+    290: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    300: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    310: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    320: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    330: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    340: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    350: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    360: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    370: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    380: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    390: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    400: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    410: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    420: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    430: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 89],
+    440: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  160: {
+    0: [85, 86, 87, 88, 89],
+    10: [85, 86, 87, 88, 89],
+    20: [84, 85, 86, 87, 88, 89],
+    30: [84, 85, 86, 87, 88, 89],
+    40: [84, 85, 86, 87, 88, 89],
+    50: [84, 85, 86, 87, 88, 89],
+    60: [84, 85, 86, 87, 88, 89],
+    70: [83, 84, 85, 86, 87, 88, 89],
+    80: [83, 84, 85, 86, 87, 88, 89],
+    90: [83, 84, 85, 86, 87, 88, 89],
+    100: [83, 84, 85, 86, 88, 89],
+    110: [83, 84, 85, 86, 88, 89],
+    120: [82, 83, 84, 85, 86, 88, 89],
+    130: [82, 83, 84, 85, 86, 88, 89],
+    140: [82, 83, 84, 85, 86, 88, 89],
+    150: [81, 82, 83, 84, 85, 86, 88, 89],
+    160: [81, 82, 83, 84, 85, 86, 88, 89],
+    170: [81, 82, 83, 84, 85, 86, 88, 89],
+    180: [80, 81, 82, 83, 84, 85, 86, 88, 89],
+    190: [80, 81, 82, 83, 84, 85, 88, 89],
+    200: [79, 80, 81, 82, 83, 84, 85, 88, 89],
+    210: [79, 80, 81, 82, 83, 84, 85, 88, 89],
+    220: [78, 79, 80, 81, 82, 83, 84, 85, 88, 89],
+    230: [78, 79, 80, 81, 82, 83, 84, 85, 88, 89],
+    240: [77, 78, 79, 80, 81, 82, 83, 84, 88, 89],
+    250: [77, 78, 79, 80, 81, 82, 83, 84, 88, 89],
+    260: [76, 77, 78, 79, 80, 81, 82, 83, 84, 88, 89],
+    270: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 88, 89],
+    280: [75, 76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    290: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    300: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 88, 89],
+    310: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 88, 89],
+    320: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88, 89],
+    330: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88, 89],
+    340: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    350: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88, 89],
+    360: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 88, 89],
+    370: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    380: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    390: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    400: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    410: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 89],
+    420: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 89],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 89],
+    440: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 89],
+    450: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  170: {
+    0: [84, 85, 86, 88],
+    10: [84, 85, 86, 88],
+    20: [83, 84, 85, 86, 88],
+    30: [83, 84, 85, 86, 88],
+    40: [83, 84, 85, 86, 88],
+    50: [83, 84, 85, 86, 88],
+    60: [83, 84, 85, 86, 88],
+    70: [82, 83, 84, 85, 86, 88],
+    80: [82, 83, 84, 85, 88],
+    90: [82, 83, 84, 85, 88],
+    100: [82, 83, 84, 85, 88],
+    110: [81, 82, 83, 84, 85, 88],
+    120: [81, 82, 83, 84, 85, 88],
+    130: [81, 82, 83, 84, 85, 88],
+    140: [80, 81, 82, 83, 84, 85, 88],
+    150: [80, 81, 82, 83, 84, 88],
+    160: [80, 81, 82, 83, 84, 88],
+    170: [79, 80, 81, 82, 83, 84, 88],
+    180: [79, 80, 81, 82, 83, 84, 88],
+    190: [78, 79, 80, 81, 82, 83, 84, 88],
+    200: [78, 79, 80, 81, 82, 83, 88],
+    210: [77, 78, 79, 80, 81, 82, 83, 88],
+    220: [76, 77, 78, 79, 80, 81, 82, 83, 88],
+    230: [76, 77, 78, 79, 80, 81, 82, 88],
+    240: [75, 76, 77, 78, 79, 80, 81, 82, 88],
+    250: [75, 76, 77, 78, 79, 80, 81, 82, 88],
+    260: [74, 75, 76, 77, 78, 79, 80, 81, 88],
+    270: [73, 74, 75, 76, 77, 78, 79, 80, 81, 88],
+    280: [72, 73, 74, 75, 76, 77, 78, 79, 80, 88],
+    290: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88],
+    300: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 88],
+    310: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 88],
+    320: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    330: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 88],
+    340: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 88],
+    350: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 88],
+    360: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    370: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 88],
+    380: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 88],
+    390: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 88],
+    400: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 88],
+    410: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    420: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 88],
+    430: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 88],
+    440: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 88],
+    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 88],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 88, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 88, 353, 354, 355, 356, 357, 358, 359],
+    490: [88, 353, 354, 355, 356, 357, 358]
+  },
+  180: {
+    0: [83, 84, 85, 87, 88],
+    10: [83, 84, 85, 87, 88],
+    20: [82, 83, 84, 85, 87, 88],
+    30: [82, 83, 84, 85, 87, 88],
+    40: [82, 83, 84, 85, 87, 88],
+    50: [82, 83, 84, 85, 87, 88],
+    60: [81, 82, 83, 84, 85, 87, 88],
+    70: [81, 82, 83, 84, 87, 88],
+    80: [81, 82, 83, 84, 87, 88],
+    90: [80, 81, 82, 83, 84, 87, 88],
+    100: [80, 81, 82, 83, 84, 88],
+    110: [80, 81, 82, 83, 84, 88],
+    120: [79, 80, 81, 82, 83, 88],
+    130: [79, 80, 81, 82, 83, 88],
+    140: [79, 80, 81, 82, 83, 88],
+    150: [78, 79, 80, 81, 82, 83, 88],
+    160: [78, 79, 80, 81, 82, 83, 88],
+    170: [77, 78, 79, 80, 81, 82, 88],
+    180: [77, 78, 79, 80, 81, 82, 88],
+    190: [76, 77, 78, 79, 80, 81, 82, 88],
+    200: [76, 77, 78, 79, 80, 81, 88],
+    210: [75, 76, 77, 78, 79, 80, 81, 88],
+    220: [74, 75, 76, 77, 78, 79, 80, 81, 88],
+    230: [74, 75, 76, 77, 78, 79, 80, 88],
+    240: [73, 74, 75, 76, 77, 78, 79, 80, 88],
+    250: [73, 74, 75, 76, 77, 78, 79, 88],
+    260: [71, 72, 73, 74, 75, 76, 77, 78, 79, 88],
+    270: [71, 72, 73, 74, 75, 76, 77, 78, 88],
+    280: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    290: [69, 70, 71, 72, 73, 74, 75, 76, 77, 88],
+    300: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 88],
+    310: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 88],
+    320: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 88],
+    330: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88],
+    340: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88],
+    350: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 88],
+    360: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    370: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88],
+    380: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 88],
+    390: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    400: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 88],
+    410: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 88],
+    420: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 88],
+    430: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 88],
+    440: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 88],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 88],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 88, 358, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 88, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 88, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 1, 2, 88, 353, 354, 355, 356, 357, 358, 359],
+    500: [353]
+  },
+  190: {
+    0: [82, 83, 84, 87],
+    10: [82, 83, 84, 87],
+    20: [81, 82, 83, 84, 87],
+    30: [81, 82, 83, 84, 87],
+    40: [81, 82, 83, 84, 87],
+    50: [81, 82, 83, 84, 87],
+    60: [80, 81, 82, 83, 87],
+    70: [80, 81, 82, 83, 87],
+    80: [80, 81, 82, 83, 87],
+    90: [79, 80, 81, 82, 83, 87],
+    100: [79, 80, 81, 82, 83, 87, 88],
+    110: [78, 79, 80, 81, 82, 87, 88],
+    120: [78, 79, 80, 81, 82, 87, 88],
+    130: [78, 79, 80, 81, 82, 87, 88],
+    140: [77, 78, 79, 80, 81, 82, 87, 88],
+    150: [77, 78, 79, 80, 81, 87, 88],
+    160: [76, 77, 78, 79, 80, 81, 87, 88],
+    170: [76, 77, 78, 79, 80, 81, 87, 88],
+    180: [75, 76, 77, 78, 79, 80, 87, 88],
+    190: [75, 76, 77, 78, 79, 80, 87, 88],
+    200: [74, 75, 76, 77, 78, 79, 87, 88],
+    210: [73, 74, 75, 76, 77, 78, 79, 87, 88],
+    220: [73, 74, 75, 76, 77, 78, 79, 87, 88],
+    230: [72, 73, 74, 75, 76, 77, 78, 87, 88],
+    240: [71, 72, 73, 74, 75, 76, 77, 78, 87, 88],
+    250: [71, 72, 73, 74, 75, 76, 77, 87, 88],
+    260: [69, 70, 71, 72, 73, 74, 75, 76, 77, 87, 88],
+    270: [69, 70, 71, 72, 73, 74, 75, 76, 87, 88],
+    280: [67, 68, 69, 70, 71, 72, 73, 74, 75, 87, 88],
+    290: [66, 67, 68, 69, 70, 71, 72, 73, 74, 87, 88],
+    300: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 87, 88],
+    310: [64, 65, 66, 67, 68, 69, 70, 71, 72, 87, 88],
+    320: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 87, 88],
+    330: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87, 88],
+    340: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 87, 88],
+    350: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 87, 88],
+    360: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 87, 88],
+    370: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 87, 88],
+    380: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 87, 88],
+    390: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 87, 88],
+    400: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 87, 88],
+    410: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 88],
+    420: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 87, 88],
+    430: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 88],
+    440: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 88],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 88],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 88, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 88, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 88, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 1, 88, 353, 354, 355, 356, 357, 358, 359]
+  },
+  200: {
+    0: [81, 82, 83, 86, 87],
+    10: [81, 82, 83, 87],
+    20: [80, 81, 82, 83, 87],
+    30: [80, 81, 82, 83, 87],
+    40: [80, 81, 82, 83, 87],
+    50: [79, 80, 81, 82, 87],
+    60: [79, 80, 81, 82, 87],
+    70: [79, 80, 81, 82, 87],
+    80: [78, 79, 80, 81, 82, 87],
+    90: [78, 79, 80, 81, 87],
+    100: [78, 79, 80, 81, 87],
+    110: [77, 78, 79, 80, 81, 87],
+    120: [77, 78, 79, 80, 81, 87],
+    130: [76, 77, 78, 79, 80, 87],
+    140: [76, 77, 78, 79, 80, 87],
+    150: [75, 76, 77, 78, 79, 80, 87],
+    160: [75, 76, 77, 78, 79, 87],
+    170: [74, 75, 76, 77, 78, 79, 87],
+    180: [74, 75, 76, 77, 78, 79, 87],
+    190: [73, 74, 75, 76, 77, 78, 87],
+    200: [72, 73, 74, 75, 76, 77, 78, 87],
+    210: [71, 72, 73, 74, 75, 76, 77, 87],
+    220: [71, 72, 73, 74, 75, 76, 77, 87],
+    230: [70, 71, 72, 73, 74, 75, 76, 87],
+    240: [69, 70, 71, 72, 73, 74, 75, 76, 87],
+    250: [68, 69, 70, 71, 72, 73, 74, 75, 87],
+    260: [67, 68, 69, 70, 71, 72, 73, 74, 87],
+    270: [66, 67, 68, 69, 70, 71, 72, 73, 74, 87],
+    280: [65, 66, 67, 68, 69, 70, 71, 72, 73, 87],
+    290: [64, 65, 66, 67, 68, 69, 70, 71, 72, 87],
+    300: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 87],
+    310: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87],
+    320: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 87],
+    330: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 87],
+    340: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 87],
+    350: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 87],
+    360: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87],
+    370: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 87],
+    380: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 87],
+    390: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 87],
+    400: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 87],
+    410: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 87],
+    420: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 87],
+    430: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 87],
+    440: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 87],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 87],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 87, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 87, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 1, 2, 87, 355, 356, 357, 358, 359],
+    500: [355]
+  },
+  210: {
+    0: [80, 81, 82, 86, 87],
+    10: [80, 81, 82, 86, 87],
+    20: [79, 80, 81, 82, 86, 87],
+    30: [79, 80, 81, 82, 86, 87],
+    40: [79, 80, 81, 82, 86, 87],
+    50: [78, 79, 80, 81, 86, 87],
+    60: [78, 79, 80, 81, 86, 87],
+    70: [78, 79, 80, 81, 86, 87],
+    80: [77, 78, 79, 80, 86, 87],
+    90: [77, 78, 79, 80, 86, 87],
+    100: [76, 77, 78, 79, 80, 86, 87],
+    110: [76, 77, 78, 79, 80, 86, 87],
+    120: [75, 76, 77, 78, 79, 86, 87],
+    130: [75, 76, 77, 78, 79, 86, 87],
+    140: [74, 75, 76, 77, 78, 79, 86, 87],
+    150: [74, 75, 76, 77, 78, 86, 87],
+    160: [73, 74, 75, 76, 77, 78, 86, 87],
+    170: [73, 74, 75, 76, 77, 86, 87],
+    180: [72, 73, 74, 75, 76, 77, 87],
+    190: [71, 72, 73, 74, 75, 76, 87],
+    200: [71, 72, 73, 74, 75, 76, 87],
+    210: [70, 71, 72, 73, 74, 75, 76, 87],
+    220: [69, 70, 71, 72, 73, 74, 75, 87],
+    230: [68, 69, 70, 71, 72, 73, 74, 87],
+    240: [67, 68, 69, 70, 71, 72, 73, 87],
+    250: [66, 67, 68, 69, 70, 71, 72, 73, 87],
+    260: [65, 66, 67, 68, 69, 70, 71, 72, 87],
+    270: [64, 65, 66, 67, 68, 69, 70, 71, 87],
+    280: [63, 64, 65, 66, 67, 68, 69, 70, 87],
+    290: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87],
+    300: [60, 61, 62, 63, 64, 65, 66, 67, 68, 87],
+    310: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 87],
+    320: [57, 58, 59, 60, 61, 62, 63, 64, 65, 87],
+    330: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 87],
+    340: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 87],
+    350: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 87],
+    360: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
+    370: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 87],
+    380: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 87],
+    390: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 87],
+    400: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 87],
+    410: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 87],
+    420: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 87],
+    430: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 87],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 87],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 87],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 87, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 87, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 87, 355, 356, 357, 358, 359],
+    490: [0, 1, 2, 87, 355, 356, 357, 358, 359],
+    500: [355]
+  },
+  220: {
+    0: [79, 80, 81, 86],
+    10: [79, 80, 81, 86],
+    20: [78, 79, 80, 81, 86],
+    30: [78, 79, 80, 81, 86],
+    40: [78, 79, 80, 81, 86],
+    50: [77, 78, 79, 80, 86],
+    60: [77, 78, 79, 80, 86],
+    70: [76, 77, 78, 79, 80, 86],
+    80: [76, 77, 78, 79, 86],
+    90: [76, 77, 78, 79, 86],
+    100: [75, 76, 77, 78, 79, 86],
+    110: [75, 76, 77, 78, 86],
+    120: [74, 75, 76, 77, 78, 86],
+    130: [73, 74, 75, 76, 77, 78, 86],
+    140: [73, 74, 75, 76, 77, 86],
+    150: [72, 73, 74, 75, 76, 77, 86],
+    160: [72, 73, 74, 75, 76, 86],
+    170: [71, 72, 73, 74, 75, 76, 86],
+    180: [70, 71, 72, 73, 74, 75, 86],
+    190: [70, 71, 72, 73, 74, 75, 86],
+    200: [69, 70, 71, 72, 73, 74, 86],
+    210: [68, 69, 70, 71, 72, 73, 74, 86],
+    220: [67, 68, 69, 70, 71, 72, 73, 86],
+    230: [66, 67, 68, 69, 70, 71, 72, 86, 87],
+    240: [65, 66, 67, 68, 69, 70, 71, 72, 86, 87],
+    250: [64, 65, 66, 67, 68, 69, 70, 71, 86, 87],
+    260: [63, 64, 65, 66, 67, 68, 69, 70, 86, 87],
+    270: [62, 63, 64, 65, 66, 67, 68, 69, 86, 87],
+    280: [61, 62, 63, 64, 65, 66, 67, 68, 86, 87],
+    290: [59, 60, 61, 62, 63, 64, 65, 66, 67, 86, 87],
+    300: [58, 59, 60, 61, 62, 63, 64, 65, 66, 86, 87],
+    310: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 86, 87],
+    320: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 86, 87],
+    330: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 86, 87],
+    340: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 86, 87],
+    350: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 86, 87],
+    360: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 86, 87],
+    370: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 86, 87],
+    380: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 86, 87],
+    390: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 86, 87],
+    400: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 86, 87],
+    410: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 86, 87],
+    420: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 86, 87],
+    430: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 87],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 86, 87],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 86, 87],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 87, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 87, 355, 356, 357, 358, 359],
+    490: [0, 1, 87, 355, 356, 357, 358, 359]
+  },
+  230: {
+    0: [78, 79, 80, 81, 85, 86],
+    10: [78, 79, 80, 85, 86],
+    20: [77, 78, 79, 80, 85, 86],
+    30: [77, 78, 79, 80, 85, 86],
+    40: [77, 78, 79, 85, 86],
+    50: [76, 77, 78, 79, 85, 86],
+    60: [76, 77, 78, 79, 85, 86],
+    70: [75, 76, 77, 78, 86],
+    80: [75, 76, 77, 78, 86],
+    90: [74, 75, 76, 77, 78, 86],
+    100: [74, 75, 76, 77, 86],
+    110: [73, 74, 75, 76, 77, 86],
+    120: [73, 74, 75, 76, 77, 86],
+    130: [72, 73, 74, 75, 76, 86],
+    140: [72, 73, 74, 75, 76, 86],
+    150: [71, 72, 73, 74, 75, 86],
+    160: [70, 71, 72, 73, 74, 75, 86],
+    170: [70, 71, 72, 73, 74, 86],
+    180: [69, 70, 71, 72, 73, 74, 86],
+    190: [68, 69, 70, 71, 72, 73, 86],
+    200: [67, 68, 69, 70, 71, 72, 73, 86],
+    210: [67, 68, 69, 70, 71, 72, 86],
+    220: [65, 66, 67, 68, 69, 70, 71, 86],
+    230: [65, 66, 67, 68, 69, 70, 86],
+    240: [63, 64, 65, 66, 67, 68, 69, 70, 86],
+    250: [62, 63, 64, 65, 66, 67, 68, 69, 86],
+    260: [61, 62, 63, 64, 65, 66, 67, 68, 86],
+    270: [60, 61, 62, 63, 64, 65, 66, 67, 86],
+    280: [58, 59, 60, 61, 62, 63, 64, 65, 66, 86],
+    290: [57, 58, 59, 60, 61, 62, 63, 64, 86],
+    300: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 86],
+    310: [54, 55, 56, 57, 58, 59, 60, 61, 62, 86],
+    320: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 86],
+    330: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 86],
+    340: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 86],
+    350: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 86],
+    360: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 86],
+    370: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 86],
+    380: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 86],
+    390: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 86],
+    400: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 86],
+    410: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 86],
+    420: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 86],
+    430: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 86],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 86],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 86],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 86, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 86, 357, 358, 359],
+    490: [0, 1, 2, 86, 357, 358, 359],
+    500: [357]
+  },
+  240: {
+    0: [77, 78, 79, 80, 85],
+    10: [77, 78, 79, 85],
+    20: [76, 77, 78, 79, 85],
+    30: [76, 77, 78, 79, 85],
+    40: [76, 77, 78, 85],
+    50: [75, 76, 77, 78, 85],
+    60: [75, 76, 77, 78, 85],
+    70: [74, 75, 76, 77, 85, 86],
+    80: [74, 75, 76, 77, 85, 86],
+    90: [73, 74, 75, 76, 77, 85, 86],
+    100: [73, 74, 75, 76, 85, 86],
+    110: [72, 73, 74, 75, 76, 85, 86],
+    120: [71, 72, 73, 74, 75, 85, 86],
+    130: [71, 72, 73, 74, 75, 85, 86],
+    140: [70, 71, 72, 73, 74, 85, 86],
+    150: [70, 71, 72, 73, 74, 85, 86],
+    160: [69, 70, 71, 72, 73, 85, 86],
+    170: [68, 69, 70, 71, 72, 73, 85, 86],
+    180: [67, 68, 69, 70, 71, 72, 85, 86],
+    190: [67, 68, 69, 70, 71, 72, 85, 86],
+    200: [66, 67, 68, 69, 70, 71, 85, 86],
+    210: [65, 66, 67, 68, 69, 70, 85, 86],
+    220: [64, 65, 66, 67, 68, 69, 85, 86],
+    230: [63, 64, 65, 66, 67, 68, 69, 85, 86],
+    240: [62, 63, 64, 65, 66, 67, 68, 86],
+    250: [61, 62, 63, 64, 65, 66, 67, 86],
+    260: [59, 60, 61, 62, 63, 64, 65, 66, 86],
+    270: [58, 59, 60, 61, 62, 63, 64, 65, 86],
+    280: [56, 57, 58, 59, 60, 61, 62, 63, 64, 86],
+    290: [55, 56, 57, 58, 59, 60, 61, 62, 86],
+    300: [53, 54, 55, 56, 57, 58, 59, 60, 61, 86],
+    310: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 86],
+    320: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 86],
+    330: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 86],
+    340: [46, 47, 48, 49, 50, 51, 52, 53, 54, 86],
+    350: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 86],
+    360: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 86],
+    370: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 86],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 86],
+    390: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 86],
+    400: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 86],
+    410: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 86],
+    420: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 86],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 86],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 86],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 86],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 86, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 86, 357, 358, 359],
+    490: [0, 1, 86, 357, 358, 359]
+  },
+  250: {
+    0: [76, 77, 78, 79, 84, 85],
+    10: [76, 77, 78, 84, 85],
+    20: [75, 76, 77, 78, 84, 85],
+    30: [75, 76, 77, 78, 85],
+    40: [75, 76, 77, 85],
+    50: [74, 75, 76, 77, 85],
+    60: [74, 75, 76, 77, 85],
+    70: [73, 74, 75, 76, 85],
+    80: [73, 74, 75, 76, 85],
+    90: [72, 73, 74, 75, 85],
+    100: [72, 73, 74, 75, 85],
+    110: [71, 72, 73, 74, 75, 85],
+    120: [70, 71, 72, 73, 74, 85],
+    130: [70, 71, 72, 73, 74, 85],
+    140: [69, 70, 71, 72, 73, 85],
+    150: [68, 69, 70, 71, 72, 85],
+    160: [68, 69, 70, 71, 72, 85],
+    170: [67, 68, 69, 70, 71, 85],
+    180: [66, 67, 68, 69, 70, 71, 85],
+    190: [65, 66, 67, 68, 69, 70, 85],
+    200: [64, 65, 66, 67, 68, 69, 85],
+    210: [63, 64, 65, 66, 67, 68, 69, 85],
+    220: [62, 63, 64, 65, 66, 67, 85],
+    230: [61, 62, 63, 64, 65, 66, 67, 85],
+    240: [60, 61, 62, 63, 64, 65, 66, 85],
+    250: [59, 60, 61, 62, 63, 64, 65, 85],
+    260: [57, 58, 59, 60, 61, 62, 63, 64, 85],
+    270: [56, 57, 58, 59, 60, 61, 62, 63, 85],
+    280: [55, 56, 57, 58, 59, 60, 61, 85, 86],
+    290: [53, 54, 55, 56, 57, 58, 59, 60, 61, 85, 86],
+    300: [52, 53, 54, 55, 56, 57, 58, 59, 85],
+    310: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 85, 86],
+    320: [48, 49, 50, 51, 52, 53, 54, 55, 56, 85, 86],
+    330: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 85, 86],
+    340: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 85, 86],
+    350: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 85, 86],
+    360: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 85, 86],
+    370: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 85, 86],
+    380: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 85, 86],
+    390: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 85, 86],
+    400: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 85, 86],
+    410: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 85, 86],
+    420: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 85, 86],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 85, 86],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 85, 86],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 85, 86],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 85, 86, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 86, 358, 359],
+    490: [0, 1, 2, 86, 358, 359],
+    500: [358]
+  },
+  260: {
+    0: [75, 76, 77, 78, 84],
+    10: [75, 76, 77, 84, 85],
+    20: [74, 75, 76, 77, 84, 85],
+    30: [74, 75, 76, 77, 84, 85],
+    40: [74, 75, 76, 84, 85],
+    50: [73, 74, 75, 76, 84, 85],
+    60: [73, 74, 75, 76, 84, 85],
+    70: [72, 73, 74, 75, 84, 85],
+    80: [71, 72, 73, 74, 75, 84, 85],
+    90: [71, 72, 73, 74, 84, 85],
+    100: [70, 71, 72, 73, 74, 84, 85],
+    110: [70, 71, 72, 73, 84, 85],
+    120: [69, 70, 71, 72, 73, 84, 85],
+    130: [68, 69, 70, 71, 72, 84, 85],
+    140: [68, 69, 70, 71, 72, 85],
+    150: [67, 68, 69, 70, 71, 85],
+    160: [66, 67, 68, 69, 70, 71, 85],
+    170: [65, 66, 67, 68, 69, 70, 85],
+    180: [65, 66, 67, 68, 69, 85],
+    190: [64, 65, 66, 67, 68, 85],
+    200: [63, 64, 65, 66, 67, 68, 85],
+    210: [62, 63, 64, 65, 66, 67, 85],
+    220: [61, 62, 63, 64, 65, 66, 85],
+    230: [59, 60, 61, 62, 63, 64, 65, 85],
+    240: [59, 60, 61, 62, 63, 64, 85],
+    250: [57, 58, 59, 60, 61, 62, 63, 85],
+    260: [56, 57, 58, 59, 60, 61, 62, 85],
+    270: [54, 55, 56, 57, 58, 59, 60, 61, 85],
+    280: [53, 54, 55, 56, 57, 58, 59, 60, 85],
+    290: [51, 52, 53, 54, 55, 56, 57, 58, 85],
+    300: [49, 50, 51, 52, 53, 54, 55, 56, 57, 85],
+    310: [48, 49, 50, 51, 52, 53, 54, 55, 85],
+    320: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 85],
+    330: [44, 45, 46, 47, 48, 49, 50, 51, 52, 85],
+    340: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 85],
+    350: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 85],
+    360: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 85],
+    370: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 85],
+    380: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 85],
+    390: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 85],
+    400: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 85],
+    410: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 85],
+    420: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 85],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 85],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 85],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 85],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 85, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 85, 358, 359],
+    490: [0, 1, 85, 358, 359]
+  },
+  270: {
+    0: [74, 75, 76, 77, 84],
+    10: [74, 75, 76, 77, 84],
+    20: [74, 75, 76, 84],
+    30: [73, 74, 75, 76, 84],
+    40: [73, 74, 75, 84],
+    50: [72, 73, 74, 75, 84],
+    60: [72, 73, 74, 84],
+    70: [71, 72, 73, 74, 84],
+    80: [71, 72, 73, 74, 84],
+    90: [70, 71, 72, 73, 84],
+    100: [69, 70, 71, 72, 73, 84],
+    110: [69, 70, 71, 72, 84],
+    120: [68, 69, 70, 71, 72, 84],
+    130: [67, 68, 69, 70, 71, 84],
+    140: [67, 68, 69, 70, 84],
+    150: [66, 67, 68, 69, 70, 84, 85],
+    160: [65, 66, 67, 68, 69, 84, 85],
+    170: [64, 65, 66, 67, 68, 69, 84, 85],
+    180: [63, 64, 65, 66, 67, 68, 84, 85],
+    190: [62, 63, 64, 65, 66, 67, 84, 85],
+    200: [61, 62, 63, 64, 65, 66, 84, 85],
+    210: [60, 61, 62, 63, 64, 65, 84, 85],
+    220: [59, 60, 61, 62, 63, 64, 65, 84, 85],
+    230: [58, 59, 60, 61, 62, 63, 84, 85],
+    240: [57, 58, 59, 60, 61, 62, 63, 84, 85],
+    250: [56, 57, 58, 59, 60, 61, 84, 85],
+    260: [54, 55, 56, 57, 58, 59, 60, 61, 84, 85],
+    270: [53, 54, 55, 56, 57, 58, 59, 84, 85],
+    280: [51, 52, 53, 54, 55, 56, 57, 58, 85],
+    290: [50, 51, 52, 53, 54, 55, 56, 85],
+    300: [48, 49, 50, 51, 52, 53, 54, 55, 85],
+    310: [46, 47, 48, 49, 50, 51, 52, 53, 54, 85],
+    320: [44, 45, 46, 47, 48, 49, 50, 51, 52, 85],
+    330: [42, 43, 44, 45, 46, 47, 48, 49, 50, 85],
+    340: [40, 41, 42, 43, 44, 45, 46, 47, 48, 85],
+    350: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 85],
+    360: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 85],
+    370: [33, 34, 35, 36, 37, 38, 39, 40, 41, 85],
+    380: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 85],
+    390: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 85],
+    400: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 85],
+    410: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 85],
+    420: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 85],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 85],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 85],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 85],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 85, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 85, 359],
+    490: [0, 1, 2, 85, 359],
+    500: [85]
+  },
+  280: {
+    0: [74, 75, 76, 83, 84],
+    10: [73, 74, 75, 76, 83, 84],
+    20: [73, 74, 75, 83, 84],
+    30: [72, 73, 74, 75, 83, 84],
+    40: [72, 73, 74, 83, 84],
+    50: [71, 72, 73, 74, 83, 84],
+    60: [71, 72, 73, 74, 83, 84],
+    70: [70, 71, 72, 73, 83, 84],
+    80: [69, 70, 71, 72, 73, 84],
+    90: [69, 70, 71, 72, 84],
+    100: [68, 69, 70, 71, 72, 84],
+    110: [68, 69, 70, 71, 84],
+    120: [67, 68, 69, 70, 84],
+    130: [66, 67, 68, 69, 70, 84],
+    140: [65, 66, 67, 68, 69, 84],
+    150: [64, 65, 66, 67, 68, 69, 84],
+    160: [64, 65, 66, 67, 68, 84],
+    170: [63, 64, 65, 66, 67, 84],
+    180: [62, 63, 64, 65, 66, 84],
+    190: [61, 62, 63, 64, 65, 66, 84],
+    200: [60, 61, 62, 63, 64, 65, 84],
+    210: [59, 60, 61, 62, 63, 64, 84],
+    220: [58, 59, 60, 61, 62, 63, 84],
+    230: [57, 58, 59, 60, 61, 62, 84],
+    240: [55, 56, 57, 58, 59, 60, 61, 84],
+    250: [54, 55, 56, 57, 58, 59, 60, 84],
+    260: [53, 54, 55, 56, 57, 58, 59, 84],
+    270: [51, 52, 53, 54, 55, 56, 57, 58, 84],
+    280: [50, 51, 52, 53, 54, 55, 56, 84],
+    290: [48, 49, 50, 51, 52, 53, 54, 55, 84],
+    300: [47, 48, 49, 50, 51, 52, 53, 84],
+    310: [44, 45, 46, 47, 48, 49, 50, 51, 52, 84],
+    320: [43, 44, 45, 46, 47, 48, 49, 50, 84],
+    330: [40, 41, 42, 43, 44, 45, 46, 47, 48, 84],
+    340: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 84, 85],
+    350: [36, 37, 38, 39, 40, 41, 42, 43, 44, 84, 85],
+    360: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 84, 85],
+    370: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 84, 85],
+    380: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 84, 85],
+    390: [26, 27, 28, 29, 30, 31, 32, 33, 34, 84, 85],
+    400: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 84, 85],
+    410: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 84, 85],
+    420: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 84, 85],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 84, 85],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 84, 85],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 84, 85],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 84, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 84, 85, 359],
+    480: [0, 1, 2, 3, 4, 5, 85, 359],
+    490: [0, 1, 85, 359]
+  },
+  290: {
+    0: [73, 74, 75, 83],
+    10: [72, 73, 74, 75, 83],
+    20: [72, 73, 74, 83],
+    30: [71, 72, 73, 74, 83],
+    40: [71, 72, 73, 83],
+    50: [70, 71, 72, 73, 83],
+    60: [70, 71, 72, 73, 83],
+    70: [69, 70, 71, 72, 83, 84],
+    80: [68, 69, 70, 71, 83, 84],
+    90: [68, 69, 70, 71, 83, 84],
+    100: [67, 68, 69, 70, 83, 84],
+    110: [66, 67, 68, 69, 70, 83, 84],
+    120: [66, 67, 68, 69, 83, 84],
+    130: [65, 66, 67, 68, 69, 83, 84],
+    140: [64, 65, 66, 67, 68, 83, 84],
+    150: [63, 64, 65, 66, 67, 83, 84],
+    160: [62, 63, 64, 65, 66, 67, 83, 84],
+    170: [62, 63, 64, 65, 66, 83, 84],
+    180: [61, 62, 63, 64, 65, 84],
+    190: [60, 61, 62, 63, 64, 84],
+    200: [59, 60, 61, 62, 63, 84],
+    210: [57, 58, 59, 60, 61, 62, 63, 84],
+    220: [57, 58, 59, 60, 61, 84],
+    230: [55, 56, 57, 58, 59, 60, 61, 84],
+    240: [54, 55, 56, 57, 58, 59, 84],
+    250: [53, 54, 55, 56, 57, 58, 84],
+    260: [52, 53, 54, 55, 56, 57, 84],
+    270: [50, 51, 52, 53, 54, 55, 56, 84],
+    280: [48, 49, 50, 51, 52, 53, 54, 55, 84],
+    290: [46, 47, 48, 49, 50, 51, 52, 53, 84],
+    300: [45, 46, 47, 48, 49, 50, 51, 52, 84],
+    310: [43, 44, 45, 46, 47, 48, 49, 50, 84],
+    320: [41, 42, 43, 44, 45, 46, 47, 48, 84],
+    330: [39, 40, 41, 42, 43, 44, 45, 46, 47, 84],
+    340: [37, 38, 39, 40, 41, 42, 43, 44, 84],
+    350: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 84],
+    360: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 84],
+    370: [30, 31, 32, 33, 34, 35, 36, 37, 38, 84],
+    380: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 84],
+    390: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 84],
+    400: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 84],
+    410: [19, 20, 21, 22, 23, 24, 25, 26, 27, 84],
+    420: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 84],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 84],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 84],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 84],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 84],
+    480: [0, 1, 2, 3, 4, 5, 6, 84],
+    490: [0, 1, 2]
+  },
+  300: {
+    0: [72, 73, 74, 82, 83],
+    10: [71, 72, 73, 74, 82, 83],
+    20: [71, 72, 73, 82, 83],
+    30: [70, 71, 72, 73, 82, 83],
+    40: [70, 71, 72, 73, 83],
+    50: [69, 70, 71, 72, 83],
+    60: [69, 70, 71, 72, 83],
+    70: [68, 69, 70, 71, 83],
+    80: [67, 68, 69, 70, 83],
+    90: [67, 68, 69, 70, 83],
+    100: [66, 67, 68, 69, 83],
+    110: [65, 66, 67, 68, 69, 83],
+    120: [65, 66, 67, 68, 83],
+    130: [64, 65, 66, 67, 68, 83],
+    140: [63, 64, 65, 66, 67, 83],
+    150: [62, 63, 64, 65, 66, 83],
+    160: [61, 62, 63, 64, 65, 83],
+    170: [61, 62, 63, 64, 65, 83],
+    180: [59, 60, 61, 62, 63, 64, 83],
+    190: [58, 59, 60, 61, 62, 63, 83],
+    200: [57, 58, 59, 60, 61, 62, 83, 84],
+    210: [56, 57, 58, 59, 60, 61, 83, 84],
+    220: [55, 56, 57, 58, 59, 60, 83, 84],
+    230: [54, 55, 56, 57, 58, 59, 83, 84],
+    240: [53, 54, 55, 56, 57, 58, 83, 84],
+    250: [51, 52, 53, 54, 55, 56, 57, 83, 84],
+    260: [50, 51, 52, 53, 54, 55, 56, 83, 84],
+    270: [49, 50, 51, 52, 53, 54, 83, 84],
+    280: [47, 48, 49, 50, 51, 52, 53, 83, 84],
+    290: [46, 47, 48, 49, 50, 51, 52, 83, 84],
+    300: [43, 44, 45, 46, 47, 48, 49, 50, 83, 84],
+    310: [42, 43, 44, 45, 46, 47, 48, 49, 84],
+    320: [40, 41, 42, 43, 44, 45, 46, 84],
+    330: [37, 38, 39, 40, 41, 42, 43, 44, 45, 84],
+    340: [36, 37, 38, 39, 40, 41, 42, 43, 84],
+    350: [33, 34, 35, 36, 37, 38, 39, 40, 41, 84],
+    360: [31, 32, 33, 34, 35, 36, 37, 38, 39, 84],
+    370: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 84],
+    380: [26, 27, 28, 29, 30, 31, 32, 33, 34, 84],
+    390: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 84],
+    400: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 84],
+    410: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 84],
+    420: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 84],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 84],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 84],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 84],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 84],
+    480: [0, 1, 2, 3, 4, 5, 84],
+    490: [0, 1, 2]
+  },
+  310: {
+    0: [71, 72, 73, 74, 82],
+    10: [71, 72, 73, 82],
+    20: [70, 71, 72, 73, 82, 83],
+    30: [70, 71, 72, 82, 83],
+    40: [69, 70, 71, 72, 82, 83],
+    50: [68, 69, 70, 71, 82, 83],
+    60: [68, 69, 70, 71, 82, 83],
+    70: [67, 68, 69, 70, 82, 83],
+    80: [67, 68, 69, 70, 82, 83],
+    90: [66, 67, 68, 69, 82, 83],
+    100: [65, 66, 67, 68, 82, 83],
+    110: [64, 65, 66, 67, 68, 82, 83],
+    120: [64, 65, 66, 67, 83],
+    130: [63, 64, 65, 66, 83],
+    140: [62, 63, 64, 65, 66, 83],
+    150: [61, 62, 63, 64, 65, 83],
+    160: [60, 61, 62, 63, 64, 83],
+    170: [59, 60, 61, 62, 63, 83],
+    180: [58, 59, 60, 61, 62, 83],
+    190: [57, 58, 59, 60, 61, 62, 83],
+    200: [56, 57, 58, 59, 60, 61, 83],
+    210: [55, 56, 57, 58, 59, 60, 83],
+    220: [54, 55, 56, 57, 58, 59, 83],
+    230: [53, 54, 55, 56, 57, 58, 83],
+    240: [51, 52, 53, 54, 55, 56, 57, 83],
+    250: [50, 51, 52, 53, 54, 55, 56, 83],
+    260: [49, 50, 51, 52, 53, 54, 83],
+    270: [47, 48, 49, 50, 51, 52, 53, 83],
+    280: [46, 47, 48, 49, 50, 51, 83],
+    290: [44, 45, 46, 47, 48, 49, 50, 83],
+    300: [43, 44, 45, 46, 47, 48, 49, 83],
+    310: [40, 41, 42, 43, 44, 45, 46, 47, 83],
+    320: [38, 39, 40, 41, 42, 43, 44, 45, 83],
+    330: [37, 38, 39, 40, 41, 42, 43, 83],
+    340: [34, 35, 36, 37, 38, 39, 40, 41, 42, 83],
+    350: [32, 33, 34, 35, 36, 37, 38, 39, 40, 83],
+    360: [30, 31, 32, 33, 34, 35, 36, 37, 83],
+    370: [27, 28, 29, 30, 31, 32, 33, 34, 35, 83, 84],
+    380: [25, 26, 27, 28, 29, 30, 31, 32, 33, 83, 84],
+    390: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 83, 84],
+    400: [20, 21, 22, 23, 24, 25, 26, 27, 28, 83, 84],
+    410: [17, 18, 19, 20, 21, 22, 23, 24, 25, 83, 84],
+    420: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 83, 84],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 83, 84],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 83, 84],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 83, 84],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 83, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 83, 84],
+    480: [0, 1, 2, 3, 4, 5, 6, 83, 84],
+    490: [0, 1, 2, 3],
+    500: [0]
+  },
+  320: {
+    0: [70, 71, 72, 73, 81, 82],
+    10: [70, 71, 72, 82],
+    20: [69, 70, 71, 72, 82],
+    30: [69, 70, 71, 82],
+    40: [68, 69, 70, 71, 82],
+    50: [67, 68, 69, 70, 82],
+    60: [67, 68, 69, 70, 82],
+    70: [66, 67, 68, 69, 82],
+    80: [65, 66, 67, 68, 82],
+    90: [65, 66, 67, 68, 82],
+    100: [64, 65, 66, 67, 82],
+    110: [63, 64, 65, 66, 67, 82],
+    120: [62, 63, 64, 65, 66, 82, 83],
+    130: [62, 63, 64, 65, 82, 83],
+    140: [61, 62, 63, 64, 65, 82, 83],
+    150: [60, 61, 62, 63, 64, 82, 83],
+    160: [59, 60, 61, 62, 63, 82, 83],
+    170: [58, 59, 60, 61, 62, 82, 83],
+    180: [57, 58, 59, 60, 61, 82, 83],
+    190: [56, 57, 58, 59, 60, 82, 83],
+    200: [55, 56, 57, 58, 59, 82, 83],
+    210: [54, 55, 56, 57, 58, 59, 82, 83],
+    220: [53, 54, 55, 56, 57, 83],
+    230: [51, 52, 53, 54, 55, 56, 83],
+    240: [50, 51, 52, 53, 54, 55, 83],
+    250: [49, 50, 51, 52, 53, 54, 83],
+    260: [48, 49, 50, 51, 52, 53, 83],
+    270: [46, 47, 48, 49, 50, 51, 83],
+    280: [44, 45, 46, 47, 48, 49, 50, 83],
+    290: [43, 44, 45, 46, 47, 48, 83],
+    300: [41, 42, 43, 44, 45, 46, 47, 83],
+    310: [40, 41, 42, 43, 44, 45, 46, 83],
+    320: [37, 38, 39, 40, 41, 42, 43, 44, 83],
+    330: [35, 36, 37, 38, 39, 40, 41, 42, 83],
+    340: [34, 35, 36, 37, 38, 39, 40, 83],
+    350: [31, 32, 33, 34, 35, 36, 37, 38, 83],
+    360: [29, 30, 31, 32, 33, 34, 35, 36, 83],
+    370: [27, 28, 29, 30, 31, 32, 33, 34, 83],
+    380: [24, 25, 26, 27, 28, 29, 30, 31, 32, 83],
+    390: [22, 23, 24, 25, 26, 27, 28, 29, 83],
+    400: [19, 20, 21, 22, 23, 24, 25, 26, 27, 83],
+    410: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 83],
+    420: [14, 15, 16, 17, 18, 19, 20, 21, 22, 83],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 83],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16, 83],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 83],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 83],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 83],
+    480: [0, 1, 2, 3, 4, 5, 83],
+    490: [0, 1, 2, 3, 83],
+    500: [0]
+  },
+  330: {
+    0: [70, 71, 72, 81, 82],
+    10: [69, 70, 71, 81, 82],
+    20: [68, 69, 70, 71, 81, 82],
+    30: [68, 69, 70, 81, 82],
+    40: [67, 68, 69, 70, 81, 82],
+    50: [67, 68, 69, 81, 82],
+    60: [66, 67, 68, 69, 81, 82],
+    70: [65, 66, 67, 68, 81, 82],
+    80: [65, 66, 67, 68, 82],
+    90: [64, 65, 66, 67, 82],
+    100: [63, 64, 65, 66, 82],
+    110: [62, 63, 64, 65, 66, 82],
+    120: [62, 63, 64, 65, 82],
+    130: [61, 62, 63, 64, 82],
+    140: [60, 61, 62, 63, 82],
+    150: [59, 60, 61, 62, 63, 82],
+    160: [58, 59, 60, 61, 62, 82],
+    170: [57, 58, 59, 60, 61, 82],
+    180: [56, 57, 58, 59, 60, 82],
+    190: [55, 56, 57, 58, 59, 82],
+    200: [54, 55, 56, 57, 58, 82],
+    210: [53, 54, 55, 56, 57, 82],
+    220: [52, 53, 54, 55, 56, 82],
+    230: [50, 51, 52, 53, 54, 55, 82],
+    240: [49, 50, 51, 52, 53, 54, 82, 83],
+    250: [48, 49, 50, 51, 52, 53, 82, 83],
+    260: [46, 47, 48, 49, 50, 51, 52, 82, 83],
+    270: [45, 46, 47, 48, 49, 50, 82, 83],
+    280: [43, 44, 45, 46, 47, 48, 49, 82, 83],
+    290: [42, 43, 44, 45, 46, 47, 48, 82, 83],
+    300: [40, 41, 42, 43, 44, 45, 46, 82, 83],
+    310: [38, 39, 40, 41, 42, 43, 44, 82, 83],
+    320: [37, 38, 39, 40, 41, 42, 43, 82, 83],
+    330: [34, 35, 36, 37, 38, 39, 40, 41, 82, 83],
+    340: [32, 33, 34, 35, 36, 37, 38, 39, 83],
+    350: [30, 31, 32, 33, 34, 35, 36, 37, 82, 83],
+    360: [28, 29, 30, 31, 32, 33, 34, 35, 83],
+    370: [26, 27, 28, 29, 30, 31, 32, 33, 83],
+    380: [23, 24, 25, 26, 27, 28, 29, 30, 31, 83],
+    390: [21, 22, 23, 24, 25, 26, 27, 28, 29, 83],
+    400: [19, 20, 21, 22, 23, 24, 25, 26, 83],
+    410: [16, 17, 18, 19, 20, 21, 22, 23, 24, 83],
+    420: [13, 14, 15, 16, 17, 18, 19, 20, 21, 83],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 19, 83],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16, 83],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 83],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 83],
+    470: [1, 2, 3, 4, 5, 6, 7, 8, 83],
+    480: [0, 1, 2, 3, 4, 5, 6, 83],
+    490: [0, 1, 2, 3, 83]
+  },
+  340: {
+    0: [69, 70, 71, 81],
+    10: [68, 69, 70, 71, 81],
+    20: [68, 69, 70, 81],
+    30: [67, 68, 69, 70, 81],
+    40: [66, 67, 68, 69, 81],
+    50: [66, 67, 68, 81],
+    60: [65, 66, 67, 68, 81],
+    70: [64, 65, 66, 67, 81, 82],
+    80: [64, 65, 66, 67, 81, 82],
+    90: [63, 64, 65, 66, 81, 82],
+    100: [62, 63, 64, 65, 81, 82],
+    110: [61, 62, 63, 64, 65, 81, 82],
+    120: [61, 62, 63, 64, 81, 82],
+    130: [60, 61, 62, 63, 81, 82],
+    140: [59, 60, 61, 62, 81, 82],
+    150: [58, 59, 60, 61, 62, 81, 82],
+    160: [57, 58, 59, 60, 61, 82],
+    170: [56, 57, 58, 59, 60, 82],
+    180: [55, 56, 57, 58, 59, 82],
+    190: [54, 55, 56, 57, 58, 82],
+    200: [53, 54, 55, 56, 57, 82],
+    210: [52, 53, 54, 55, 56, 82],
+    220: [50, 51, 52, 53, 54, 55, 82],
+    230: [49, 50, 51, 52, 53, 54, 82],
+    240: [48, 49, 50, 51, 52, 53, 82],
+    250: [47, 48, 49, 50, 51, 52, 82],
+    260: [45, 46, 47, 48, 49, 50, 82],
+    270: [44, 45, 46, 47, 48, 49, 82],
+    280: [42, 43, 44, 45, 46, 47, 48, 82],
+    290: [40, 41, 42, 43, 44, 45, 46, 82],
+    300: [39, 40, 41, 42, 43, 44, 45, 82],
+    310: [37, 38, 39, 40, 41, 42, 43, 82],
+    320: [35, 36, 37, 38, 39, 40, 41, 82],
+    330: [34, 35, 36, 37, 38, 39, 40, 82],
+    340: [31, 32, 33, 34, 35, 36, 37, 38, 82],
+    350: [29, 30, 31, 32, 33, 34, 35, 36, 82],
+    360: [27, 28, 29, 30, 31, 32, 33, 34, 82],
+    370: [26, 27, 28, 29, 30, 31, 32, 82],
+    380: [23, 24, 25, 26, 27, 28, 29, 82],
+    390: [20, 21, 22, 23, 24, 25, 26, 27, 28, 82],
+    400: [18, 19, 20, 21, 22, 23, 24, 25, 26, 82, 83],
+    410: [16, 17, 18, 19, 20, 21, 22, 23, 82, 83],
+    420: [14, 15, 16, 17, 18, 19, 20, 21, 82, 83],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 82, 83],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 82, 83],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 82, 83],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 82, 83],
+    470: [1, 2, 3, 4, 5, 6, 7, 8, 82, 83],
+    480: [1, 2, 3, 4, 5, 6, 82, 83],
+    490: [1, 2, 3]
+  },
+  350: {
+    0: [68, 69, 70, 80, 81],
+    10: [68, 69, 70, 80, 81],
+    20: [67, 68, 69, 80, 81],
+    30: [66, 67, 68, 69, 80, 81],
+    40: [66, 67, 68, 80, 81],
+    50: [65, 66, 67, 68, 81],
+    60: [64, 65, 66, 67, 81],
+    70: [64, 65, 66, 81],
+    80: [63, 64, 65, 66, 81],
+    90: [62, 63, 64, 65, 81],
+    100: [61, 62, 63, 64, 81],
+    110: [61, 62, 63, 64, 81],
+    120: [60, 61, 62, 63, 81],
+    130: [59, 60, 61, 62, 81],
+    140: [58, 59, 60, 61, 81],
+    150: [57, 58, 59, 60, 61, 81],
+    160: [56, 57, 58, 59, 60, 81],
+    170: [55, 56, 57, 58, 59, 81, 82],
+    180: [54, 55, 56, 57, 58, 81, 82],
+    190: [53, 54, 55, 56, 57, 81, 82],
+    200: [52, 53, 54, 55, 56, 81, 82],
+    210: [51, 52, 53, 54, 55, 81, 82],
+    220: [50, 51, 52, 53, 54, 81, 82],
+    230: [48, 49, 50, 51, 52, 53, 81, 82],
+    240: [47, 48, 49, 50, 51, 52, 81, 82],
+    250: [45, 46, 47, 48, 49, 50, 81, 82],
+    260: [44, 45, 46, 47, 48, 49, 82],
+    270: [43, 44, 45, 46, 47, 48, 82],
+    280: [41, 42, 43, 44, 45, 46, 47, 82],
+    290: [40, 41, 42, 43, 44, 45, 82],
+    300: [38, 39, 40, 41, 42, 43, 82],
+    310: [36, 37, 38, 39, 40, 41, 42, 82],
+    320: [35, 36, 37, 38, 39, 40, 82],
+    330: [32, 33, 34, 35, 36, 37, 38, 39, 82],
+    340: [31, 32, 33, 34, 35, 36, 37, 82],
+    350: [29, 30, 31, 32, 33, 34, 35, 82],
+    360: [26, 27, 28, 29, 30, 31, 32, 33, 82],
+    370: [24, 25, 26, 27, 28, 29, 30, 31, 82],
+    380: [22, 23, 24, 25, 26, 27, 28, 29, 82],
+    390: [20, 21, 22, 23, 24, 25, 26, 27, 82],
+    400: [18, 19, 20, 21, 22, 23, 24, 82],
+    410: [15, 16, 17, 18, 19, 20, 21, 22, 82],
+    420: [13, 14, 15, 16, 17, 18, 19, 20, 82],
+    430: [10, 11, 12, 13, 14, 15, 16, 17, 18, 82],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16, 82],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 82],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 82],
+    470: [1, 2, 3, 4, 5, 6, 7, 8, 82],
+    480: [1, 2, 3, 4, 5, 6, 82],
+    490: [1, 2, 3, 82],
+    500: [1]
+  },
+  360: {
+    0: [67, 68, 69, 70, 80],
+    10: [67, 68, 69, 80],
+    20: [66, 67, 68, 69, 80],
+    30: [65, 66, 67, 68, 80],
+    40: [65, 66, 67, 80, 81],
+    50: [64, 65, 66, 67, 80, 81],
+    60: [63, 64, 65, 66, 80, 81],
+    70: [63, 64, 65, 80, 81],
+    80: [62, 63, 64, 65, 80, 81],
+    90: [61, 62, 63, 64, 80, 81],
+    100: [60, 61, 62, 63, 80, 81],
+    110: [60, 61, 62, 63, 80, 81],
+    120: [59, 60, 61, 62, 81],
+    130: [58, 59, 60, 61, 81],
+    140: [57, 58, 59, 60, 81],
+    150: [56, 57, 58, 59, 60, 81],
+    160: [55, 56, 57, 58, 59, 81],
+    170: [54, 55, 56, 57, 58, 81],
+    180: [53, 54, 55, 56, 57, 81],
+    190: [52, 53, 54, 55, 56, 81],
+    200: [51, 52, 53, 54, 55, 81],
+    210: [50, 51, 52, 53, 54, 81],
+    220: [48, 49, 50, 51, 52, 53, 81],
+    230: [47, 48, 49, 50, 51, 52, 81],
+    240: [46, 47, 48, 49, 50, 51, 81],
+    250: [45, 46, 47, 48, 49, 81],
+    260: [43, 44, 45, 46, 47, 48, 81],
+    270: [42, 43, 44, 45, 46, 47, 81],
+    280: [40, 41, 42, 43, 44, 45, 81, 82],
+    290: [39, 40, 41, 42, 43, 44, 81, 82],
+    300: [37, 38, 39, 40, 41, 42, 81, 82],
+    310: [35, 36, 37, 38, 39, 40, 41, 81, 82],
+    320: [33, 34, 35, 36, 37, 38, 39, 81, 82],
+    330: [32, 33, 34, 35, 36, 37, 38, 81, 82],
+    340: [30, 31, 32, 33, 34, 35, 36, 81, 82],
+    350: [28, 29, 30, 31, 32, 33, 34, 81, 82],
+    360: [26, 27, 28, 29, 30, 31, 32, 81, 82],
+    370: [24, 25, 26, 27, 28, 29, 30, 81, 82],
+    380: [22, 23, 24, 25, 26, 27, 28, 81, 82],
+    390: [19, 20, 21, 22, 23, 24, 25, 26, 82],
+    400: [17, 18, 19, 20, 21, 22, 23, 24, 82],
+    410: [15, 16, 17, 18, 19, 20, 21, 22, 82],
+    420: [13, 14, 15, 16, 17, 18, 19, 20, 82],
+    430: [11, 12, 13, 14, 15, 16, 17, 82],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 82],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 82],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 82],
+    470: [1, 2, 3, 4, 5, 6, 7, 8, 82],
+    480: [1, 2, 3, 4, 5, 6, 82],
+    490: [1, 2, 3, 82],
+    500: [1]
+  },
+  370: {
+    0: [67, 68, 69, 79, 80],
+    10: [66, 67, 68, 79, 80],
+    20: [65, 66, 67, 68, 79, 80],
+    30: [65, 66, 67, 80],
+    40: [64, 65, 66, 67, 80],
+    50: [63, 64, 65, 66, 80],
+    60: [63, 64, 65, 80],
+    70: [62, 63, 64, 65, 80],
+    80: [61, 62, 63, 64, 80],
+    90: [60, 61, 62, 63, 80],
+    100: [60, 61, 62, 63, 80],
+    110: [59, 60, 61, 62, 80, 81],
+    120: [58, 59, 60, 61, 80, 81],
+    130: [57, 58, 59, 60, 80, 81],
+    140: [56, 57, 58, 59, 60, 80, 81],
+    150: [55, 56, 57, 58, 59, 80, 81],
+    160: [54, 55, 56, 57, 58, 80, 81],
+    170: [53, 54, 55, 56, 57, 80, 81],
+    180: [52, 53, 54, 55, 56, 80, 81],
+    190: [51, 52, 53, 54, 55, 80, 81],
+    200: [50, 51, 52, 53, 54, 81],
+    210: [49, 50, 51, 52, 53, 81],
+    220: [48, 49, 50, 51, 52, 81],
+    230: [46, 47, 48, 49, 50, 51, 81],
+    240: [45, 46, 47, 48, 49, 81],
+    250: [44, 45, 46, 47, 48, 81],
+    260: [42, 43, 44, 45, 46, 47, 81],
+    270: [41, 42, 43, 44, 45, 46, 81],
+    280: [39, 40, 41, 42, 43, 44, 81],
+    290: [38, 39, 40, 41, 42, 43, 81],
+    300: [36, 37, 38, 39, 40, 41, 81],
+    310: [35, 36, 37, 38, 39, 40, 81],
+    320: [33, 34, 35, 36, 37, 38, 81],
+    330: [31, 32, 33, 34, 35, 36, 37, 81],
+    340: [29, 30, 31, 32, 33, 34, 35, 81],
+    350: [27, 28, 29, 30, 31, 32, 33, 81],
+    360: [25, 26, 27, 28, 29, 30, 31, 81],
+    370: [23, 24, 25, 26, 27, 28, 29, 30, 81],
+    380: [21, 22, 23, 24, 25, 26, 27, 28, 81],
+    390: [19, 20, 21, 22, 23, 24, 25, 81],
+    400: [17, 18, 19, 20, 21, 22, 23, 81],
+    410: [15, 16, 17, 18, 19, 20, 21, 81],
+    420: [12, 13, 14, 15, 16, 17, 18, 19, 81, 82],
+    430: [10, 11, 12, 13, 14, 15, 16, 17, 81, 82],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 81, 82],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 81, 82],
+    460: [4, 5, 6, 7, 8, 9, 10, 81, 82],
+    470: [2, 3, 4, 5, 6, 7, 8, 81, 82],
+    480: [1, 2, 3, 4, 5, 6, 81, 82],
+    490: [1, 2, 3, 81]
+  },
+  380: {
+    0: [66, 67, 68, 79],
+    10: [65, 66, 67, 68, 79],
+    20: [65, 66, 67, 79, 80],
+    30: [64, 65, 66, 79, 80],
+    40: [63, 64, 65, 66, 79, 80],
+    50: [63, 64, 65, 79, 80],
+    60: [62, 63, 64, 65, 79, 80],
+    70: [61, 62, 63, 64, 79, 80],
+    80: [60, 61, 62, 63, 79, 80],
+    90: [60, 61, 62, 63, 80],
+    100: [59, 60, 61, 62, 80],
+    110: [58, 59, 60, 61, 80],
+    120: [57, 58, 59, 60, 80],
+    130: [56, 57, 58, 59, 80],
+    140: [55, 56, 57, 58, 59, 80],
+    150: [54, 55, 56, 57, 58, 80],
+    160: [53, 54, 55, 56, 57, 80],
+    170: [52, 53, 54, 55, 56, 80],
+    180: [51, 52, 53, 54, 55, 80],
+    190: [50, 51, 52, 53, 54, 80],
+    200: [49, 50, 51, 52, 53, 80],
+    210: [48, 49, 50, 51, 52, 80, 81],
+    220: [47, 48, 49, 50, 51, 80, 81],
+    230: [45, 46, 47, 48, 49, 50, 80, 81],
+    240: [44, 45, 46, 47, 48, 49, 80, 81],
+    250: [43, 44, 45, 46, 47, 80, 81],
+    260: [41, 42, 43, 44, 45, 46, 80, 81],
+    270: [40, 41, 42, 43, 44, 45, 80, 81],
+    280: [38, 39, 40, 41, 42, 43, 80, 81],
+    290: [37, 38, 39, 40, 41, 42, 80, 81],
+    300: [35, 36, 37, 38, 39, 40, 81],
+    310: [34, 35, 36, 37, 38, 39, 81],
+    320: [32, 33, 34, 35, 36, 37, 38, 81],
+    330: [30, 31, 32, 33, 34, 35, 36, 81],
+    340: [28, 29, 30, 31, 32, 33, 34, 81],
+    350: [27, 28, 29, 30, 31, 32, 81],
+    360: [25, 26, 27, 28, 29, 30, 31, 81],
+    370: [23, 24, 25, 26, 27, 28, 29, 81],
+    380: [21, 22, 23, 24, 25, 26, 27, 81],
+    390: [19, 20, 21, 22, 23, 24, 25, 81],
+    400: [17, 18, 19, 20, 21, 22, 23, 81],
+    410: [15, 16, 17, 18, 19, 20, 21, 81],
+    420: [13, 14, 15, 16, 17, 18, 19, 81],
+    430: [10, 11, 12, 13, 14, 15, 16, 81],
+    440: [8, 9, 10, 11, 12, 13, 14, 81],
+    450: [6, 7, 8, 9, 10, 11, 12, 81],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 81],
+    470: [2, 3, 4, 5, 6, 7, 8, 81],
+    480: [2, 3, 4, 5, 6, 81],
+    490: [2, 3, 4, 81]
+  },
+  390: {
+    0: [65, 66, 67, 68, 78, 79],
+    10: [65, 66, 67, 78, 79],
+    20: [64, 65, 66, 79],
+    30: [63, 64, 65, 66, 79],
+    40: [63, 64, 65, 79],
+    50: [62, 63, 64, 79],
+    60: [61, 62, 63, 64, 79],
+    70: [60, 61, 62, 63, 79],
+    80: [60, 61, 62, 79, 80],
+    90: [59, 60, 61, 62, 79, 80],
+    100: [58, 59, 60, 61, 79, 80],
+    110: [57, 58, 59, 60, 79, 80],
+    120: [56, 57, 58, 59, 79, 80],
+    130: [55, 56, 57, 58, 79, 80],
+    140: [54, 55, 56, 57, 58, 79, 80],
+    150: [54, 55, 56, 57, 79, 80],
+    160: [52, 53, 54, 55, 56, 80],
+    170: [52, 53, 54, 55, 80],
+    180: [50, 51, 52, 53, 54, 80],
+    190: [50, 51, 52, 53, 80],
+    200: [48, 49, 50, 51, 52, 80],
+    210: [47, 48, 49, 50, 51, 80],
+    220: [46, 47, 48, 49, 50, 80],
+    230: [45, 46, 47, 48, 49, 80],
+    240: [43, 44, 45, 46, 47, 80],
+    250: [42, 43, 44, 45, 46, 80],
+    260: [41, 42, 43, 44, 45, 80],
+    270: [39, 40, 41, 42, 43, 44, 80],
+    280: [38, 39, 40, 41, 42, 43, 80],
+    290: [36, 37, 38, 39, 40, 41, 80],
+    300: [35, 36, 37, 38, 39, 40, 80],
+    310: [33, 34, 35, 36, 37, 38, 80, 81],
+    320: [31, 32, 33, 34, 35, 36, 80, 81],
+    330: [30, 31, 32, 33, 34, 35, 80, 81],
+    340: [28, 29, 30, 31, 32, 33, 80, 81],
+    350: [26, 27, 28, 29, 30, 31, 80, 81],
+    360: [24, 25, 26, 27, 28, 29, 30, 80, 81],
+    370: [22, 23, 24, 25, 26, 27, 28, 80, 81],
+    380: [21, 22, 23, 24, 25, 26, 80, 81],
+    390: [19, 20, 21, 22, 23, 24, 80, 81],
+    400: [16, 17, 18, 19, 20, 21, 22, 80, 81],
+    410: [14, 15, 16, 17, 18, 19, 20, 81],
+    420: [12, 13, 14, 15, 16, 17, 18, 81],
+    430: [10, 11, 12, 13, 14, 15, 16, 17, 81],
+    440: [8, 9, 10, 11, 12, 13, 14, 81],
+    450: [6, 7, 8, 9, 10, 11, 12, 81],
+    460: [4, 5, 6, 7, 8, 9, 10, 81],
+    470: [2, 3, 4, 5, 6, 7, 8, 81],
+    480: [2, 3, 4, 5, 6, 81],
+    490: [2, 3, 4, 81]
+  },
+  400: {
+    0: [65, 66, 67, 78, 79],
+    10: [64, 65, 66, 78, 79],
+    20: [63, 64, 65, 66, 78, 79],
+    30: [63, 64, 65, 78, 79],
+    40: [62, 63, 64, 78, 79],
+    50: [61, 62, 63, 64, 78, 79],
+    60: [60, 61, 62, 63, 78, 79],
+    70: [60, 61, 62, 79],
+    80: [59, 60, 61, 62, 79],
+    90: [58, 59, 60, 61, 79],
+    100: [57, 58, 59, 60, 79],
+    110: [56, 57, 58, 59, 79],
+    120: [55, 56, 57, 58, 59, 79],
+    130: [55, 56, 57, 58, 79],
+    140: [54, 55, 56, 57, 79],
+    150: [53, 54, 55, 56, 79, 80],
+    160: [52, 53, 54, 55, 79, 80],
+    170: [51, 52, 53, 54, 79, 80],
+    180: [50, 51, 52, 53, 79, 80],
+    190: [49, 50, 51, 52, 79, 80],
+    200: [48, 49, 50, 51, 79, 80],
+    210: [46, 47, 48, 49, 50, 79, 80],
+    220: [45, 46, 47, 48, 49, 79, 80],
+    230: [44, 45, 46, 47, 48, 80],
+    240: [43, 44, 45, 46, 47, 80],
+    250: [41, 42, 43, 44, 45, 80],
+    260: [40, 41, 42, 43, 44, 80],
+    270: [39, 40, 41, 42, 43, 80],
+    280: [37, 38, 39, 40, 41, 42, 80],
+    290: [36, 37, 38, 39, 40, 80],
+    300: [34, 35, 36, 37, 38, 39, 80],
+    310: [32, 33, 34, 35, 36, 37, 80],
+    320: [31, 32, 33, 34, 35, 36, 80],
+    330: [29, 30, 31, 32, 33, 34, 80],
+    340: [27, 28, 29, 30, 31, 32, 80],
+    350: [26, 27, 28, 29, 30, 31, 80],
+    360: [24, 25, 26, 27, 28, 29, 80],
+    370: [22, 23, 24, 25, 26, 27, 80],
+    380: [20, 21, 22, 23, 24, 25, 26, 80],
+    390: [18, 19, 20, 21, 22, 23, 24, 80],
+    400: [16, 17, 18, 19, 20, 21, 22, 80],
+    410: [14, 15, 16, 17, 18, 19, 20, 80],
+    420: [12, 13, 14, 15, 16, 17, 18, 80],
+    430: [10, 11, 12, 13, 14, 15, 16, 80],
+    440: [8, 9, 10, 11, 12, 13, 14, 80],
+    450: [6, 7, 8, 9, 10, 11, 12, 80, 81],
+    460: [4, 5, 6, 7, 8, 9, 10, 80, 81],
+    470: [3, 4, 5, 6, 7, 8, 80, 81],
+    480: [3, 4, 5, 6, 80, 81],
+    490: [3, 4, 81]
+  },
+  410: {
+    0: [64, 65, 66, 77, 78],
+    10: [63, 64, 65, 66, 78],
+    20: [63, 64, 65, 78],
+    30: [62, 63, 64, 78],
+    40: [61, 62, 63, 64, 78],
+    50: [61, 62, 63, 78, 79],
+    60: [60, 61, 62, 78, 79],
+    70: [59, 60, 61, 62, 78, 79],
+    80: [58, 59, 60, 61, 78, 79],
+    90: [57, 58, 59, 60, 78, 79],
+    100: [57, 58, 59, 78, 79],
+    110: [56, 57, 58, 59, 78, 79],
+    120: [55, 56, 57, 58, 79],
+    130: [54, 55, 56, 57, 79],
+    140: [53, 54, 55, 56, 79],
+    150: [52, 53, 54, 55, 79],
+    160: [51, 52, 53, 54, 79],
+    170: [50, 51, 52, 53, 79],
+    180: [49, 50, 51, 52, 79],
+    190: [48, 49, 50, 51, 79],
+    200: [47, 48, 49, 50, 79],
+    210: [46, 47, 48, 49, 79],
+    220: [44, 45, 46, 47, 48, 79],
+    230: [43, 44, 45, 46, 47, 79],
+    240: [42, 43, 44, 45, 46, 79, 80],
+    250: [41, 42, 43, 44, 45, 79, 80],
+    260: [39, 40, 41, 42, 43, 79, 80],
+    270: [38, 39, 40, 41, 42, 79, 80],
+    280: [36, 37, 38, 39, 40, 41, 79, 80],
+    290: [35, 36, 37, 38, 39, 79, 80],
+    300: [33, 34, 35, 36, 37, 38, 79, 80],
+    310: [32, 33, 34, 35, 36, 37, 79, 80],
+    320: [30, 31, 32, 33, 34, 35, 80],
+    330: [29, 30, 31, 32, 33, 34, 80],
+    340: [27, 28, 29, 30, 31, 32, 80],
+    350: [25, 26, 27, 28, 29, 30, 80],
+    360: [23, 24, 25, 26, 27, 28, 29, 80],
+    370: [22, 23, 24, 25, 26, 27, 80],
+    380: [20, 21, 22, 23, 24, 25, 80],
+    390: [18, 19, 20, 21, 22, 23, 80],
+    400: [16, 17, 18, 19, 20, 21, 80],
+    410: [14, 15, 16, 17, 18, 19, 20, 80],
+    420: [12, 13, 14, 15, 16, 17, 18, 80],
+    430: [10, 11, 12, 13, 14, 15, 16, 80],
+    440: [8, 9, 10, 11, 12, 13, 14, 80],
+    450: [6, 7, 8, 9, 10, 11, 12, 80],
+    460: [5, 6, 7, 8, 9, 10, 80],
+    470: [3, 4, 5, 6, 7, 8, 80],
+    480: [3, 4, 5, 6, 80],
+    490: [3, 4]
+  },
+  420: {
+    0: [64, 65, 66, 77, 78],
+    10: [63, 64, 65, 77, 78],
+    20: [62, 63, 64, 77, 78],
+    30: [61, 62, 63, 64, 77, 78],
+    40: [61, 62, 63, 77, 78],
+    50: [60, 61, 62, 78],
+    60: [59, 60, 61, 62, 78],
+    70: [58, 59, 60, 61, 78],
+    80: [58, 59, 60, 78],
+    90: [57, 58, 59, 78],
+    100: [56, 57, 58, 59, 78],
+    110: [55, 56, 57, 58, 78, 79],
+    120: [54, 55, 56, 57, 78, 79],
+    130: [53, 54, 55, 56, 78, 79],
+    140: [52, 53, 54, 55, 78, 79],
+    150: [51, 52, 53, 54, 78, 79],
+    160: [50, 51, 52, 53, 54, 78, 79],
+    170: [49, 50, 51, 52, 53, 78, 79],
+    180: [48, 49, 50, 51, 52, 78, 79],
+    190: [47, 48, 49, 50, 51, 79],
+    200: [46, 47, 48, 49, 50, 79],
+    210: [45, 46, 47, 48, 49, 79],
+    220: [44, 45, 46, 47, 79],
+    230: [42, 43, 44, 45, 46, 79],
+    240: [41, 42, 43, 44, 45, 79],
+    250: [40, 41, 42, 43, 44, 79],
+    260: [39, 40, 41, 42, 43, 79],
+    270: [37, 38, 39, 40, 41, 79],
+    280: [36, 37, 38, 39, 40, 79],
+    290: [34, 35, 36, 37, 38, 39, 79],
+    300: [33, 34, 35, 36, 37, 79],
+    310: [31, 32, 33, 34, 35, 36, 79],
+    320: [30, 31, 32, 33, 34, 79],
+    330: [28, 29, 30, 31, 32, 33, 79],
+    340: [26, 27, 28, 29, 30, 31, 79, 80],
+    350: [25, 26, 27, 28, 29, 30, 79, 80],
+    360: [23, 24, 25, 26, 27, 28, 79, 80],
+    370: [21, 22, 23, 24, 25, 26, 79, 80],
+    380: [19, 20, 21, 22, 23, 24, 25, 79, 80],
+    390: [18, 19, 20, 21, 22, 23, 79, 80],
+    400: [16, 17, 18, 19, 20, 21, 79, 80],
+    410: [14, 15, 16, 17, 18, 19, 79, 80],
+    420: [12, 13, 14, 15, 16, 17, 79, 80],
+    430: [10, 11, 12, 13, 14, 15, 80],
+    440: [8, 9, 10, 11, 12, 13, 80],
+    450: [6, 7, 8, 9, 10, 11, 12, 80],
+    460: [4, 5, 6, 7, 8, 9, 10, 80],
+    470: [3, 4, 5, 6, 7, 8, 80],
+    480: [3, 4, 5, 6, 80],
+    490: [3, 4]
+  },
+  430: {
+    0: [63, 64, 65, 76, 77],
+    10: [62, 63, 64, 77],
+    20: [62, 63, 64, 77],
+    30: [61, 62, 63, 77],
+    40: [60, 61, 62, 77, 78],
+    50: [59, 60, 61, 62, 77, 78],
+    60: [59, 60, 61, 77, 78],
+    70: [58, 59, 60, 77, 78],
+    80: [57, 58, 59, 60, 77, 78],
+    90: [56, 57, 58, 59, 77, 78],
+    100: [55, 56, 57, 58, 78],
+    110: [54, 55, 56, 57, 78],
+    120: [53, 54, 55, 56, 78],
+    130: [53, 54, 55, 78],
+    140: [52, 53, 54, 55, 78],
+    150: [51, 52, 53, 54, 78],
+    160: [50, 51, 52, 53, 78],
+    170: [49, 50, 51, 52, 78],
+    180: [47, 48, 49, 50, 51, 78, 79],
+    190: [46, 47, 48, 49, 50, 78, 79],
+    200: [45, 46, 47, 48, 49, 78, 79],
+    210: [44, 45, 46, 47, 48, 78, 79],
+    220: [43, 44, 45, 46, 47, 78, 79],
+    230: [42, 43, 44, 45, 46, 78, 79],
+    240: [40, 41, 42, 43, 44, 78, 79],
+    250: [39, 40, 41, 42, 43, 78, 79],
+    260: [38, 39, 40, 41, 42, 79],
+    270: [37, 38, 39, 40, 41, 79],
+    280: [35, 36, 37, 38, 39, 79],
+    290: [34, 35, 36, 37, 38, 79],
+    300: [32, 33, 34, 35, 36, 37, 79],
+    310: [31, 32, 33, 34, 35, 79],
+    320: [29, 30, 31, 32, 33, 34, 79],
+    330: [28, 29, 30, 31, 32, 79],
+    340: [26, 27, 28, 29, 30, 31, 79],
+    350: [24, 25, 26, 27, 28, 29, 79],
+    360: [23, 24, 25, 26, 27, 79],
+    370: [21, 22, 23, 24, 25, 26, 79],
+    380: [19, 20, 21, 22, 23, 24, 79],
+    390: [18, 19, 20, 21, 22, 23, 79],
+    400: [16, 17, 18, 19, 20, 79],
+    410: [14, 15, 16, 17, 18, 19, 79],
+    420: [12, 13, 14, 15, 16, 17, 79],
+    430: [10, 11, 12, 13, 14, 15, 16, 79],
+    440: [8, 9, 10, 11, 12, 13, 14, 79],
+    450: [7, 8, 9, 10, 11, 12, 79],
+    460: [5, 6, 7, 8, 9, 10, 79],
+    470: [3, 4, 5, 6, 7, 8, 79, 80],
+    480: [3, 4, 5, 6, 79],
+    490: [3, 4, 79]
+  },
+  440: {
+    0: [62, 63, 64, 65, 76, 77],
+    10: [62, 63, 64, 76, 77],
+    20: [61, 62, 63, 76, 77],
+    30: [60, 61, 62, 63, 76, 77],
+    40: [60, 61, 62, 77],
+    50: [59, 60, 61, 77],
+    60: [58, 59, 60, 77],
+    70: [57, 58, 59, 60, 77],
+    80: [56, 57, 58, 59, 77],
+    90: [55, 56, 57, 58, 77, 78],
+    100: [55, 56, 57, 77, 78],
+    110: [54, 55, 56, 77, 78],
+    120: [53, 54, 55, 56, 77, 78],
+    130: [52, 53, 54, 55, 77, 78],
+    140: [51, 52, 53, 54, 77, 78],
+    150: [50, 51, 52, 53, 77, 78],
+    160: [49, 50, 51, 52, 78],
+    170: [48, 49, 50, 51, 78],
+    180: [47, 48, 49, 50, 78],
+    190: [46, 47, 48, 49, 78],
+    200: [45, 46, 47, 48, 78],
+    210: [44, 45, 46, 47, 78],
+    220: [42, 43, 44, 45, 46, 78],
+    230: [41, 42, 43, 44, 45, 78],
+    240: [40, 41, 42, 43, 44, 78],
+    250: [39, 40, 41, 42, 78],
+    260: [37, 38, 39, 40, 41, 78],
+    270: [36, 37, 38, 39, 40, 78, 79],
+    280: [35, 36, 37, 38, 39, 78, 79],
+    290: [33, 34, 35, 36, 37, 78, 79],
+    300: [32, 33, 34, 35, 36, 78, 79],
+    310: [30, 31, 32, 33, 34, 35, 78, 79],
+    320: [29, 30, 31, 32, 33, 78, 79],
+    330: [27, 28, 29, 30, 31, 32, 78, 79],
+    340: [25, 26, 27, 28, 29, 30, 78, 79],
+    350: [24, 25, 26, 27, 28, 29, 79],
+    360: [23, 24, 25, 26, 27, 79],
+    370: [21, 22, 23, 24, 25, 79],
+    380: [19, 20, 21, 22, 23, 24, 79],
+    390: [17, 18, 19, 20, 21, 22, 79],
+    400: [16, 17, 18, 19, 20, 21, 79],
+    410: [14, 15, 16, 17, 18, 19, 79],
+    420: [12, 13, 14, 15, 16, 17, 79],
+    430: [10, 11, 12, 13, 14, 15, 79],
+    440: [8, 9, 10, 11, 12, 13, 79],
+    450: [6, 7, 8, 9, 10, 11, 12, 79],
+    460: [5, 6, 7, 8, 9, 10, 79],
+    470: [4, 5, 6, 7, 8, 79],
+    480: [4, 5, 6, 79],
+    490: [4, 5, 79]
+  },
+  450: {
+    0: [62, 63, 64, 75, 76],
+    10: [61, 62, 63, 76],
+    20: [60, 61, 62, 63, 76],
+    30: [60, 61, 62, 76, 77],
+    40: [59, 60, 61, 76, 77],
+    50: [58, 59, 60, 76, 77],
+    60: [57, 58, 59, 60, 76, 77],
+    70: [57, 58, 59, 76, 77],
+    80: [56, 57, 58, 77],
+    90: [55, 56, 57, 77],
+    100: [54, 55, 56, 57, 77],
+    110: [53, 54, 55, 56, 77],
+    120: [52, 53, 54, 55, 77],
+    130: [51, 52, 53, 54, 77],
+    140: [50, 51, 52, 53, 77],
+    150: [49, 50, 51, 52, 77, 78],
+    160: [48, 49, 50, 51, 77, 78],
+    170: [47, 48, 49, 50, 77, 78],
+    180: [46, 47, 48, 49, 77, 78],
+    190: [45, 46, 47, 48, 77, 78],
+    200: [44, 45, 46, 47, 77, 78],
+    210: [43, 44, 45, 46, 77, 78],
+    220: [42, 43, 44, 45, 78],
+    230: [40, 41, 42, 43, 44, 78],
+    240: [39, 40, 41, 42, 43, 78],
+    250: [38, 39, 40, 41, 42, 78],
+    260: [37, 38, 39, 40, 78],
+    270: [35, 36, 37, 38, 39, 78],
+    280: [34, 35, 36, 37, 38, 78],
+    290: [33, 34, 35, 36, 37, 78],
+    300: [31, 32, 33, 34, 35, 78],
+    310: [30, 31, 32, 33, 34, 78],
+    320: [28, 29, 30, 31, 32, 78],
+    330: [27, 28, 29, 30, 31, 78],
+    340: [25, 26, 27, 28, 29, 30, 78],
+    350: [24, 25, 26, 27, 28, 78],
+    360: [22, 23, 24, 25, 26, 27, 78, 79],
+    370: [20, 21, 22, 23, 24, 25, 78, 79],
+    380: [19, 20, 21, 22, 23, 24, 78, 79],
+    390: [17, 18, 19, 20, 21, 22, 78, 79],
+    400: [15, 16, 17, 18, 19, 20, 78, 79],
+    410: [14, 15, 16, 17, 18, 78, 79],
+    420: [12, 13, 14, 15, 16, 17, 78, 79],
+    430: [10, 11, 12, 13, 14, 15, 78, 79],
+    440: [9, 10, 11, 12, 13, 14, 78, 79],
+    450: [7, 8, 9, 10, 11, 12, 79],
+    460: [5, 6, 7, 8, 9, 10, 79],
+    470: [4, 5, 6, 7, 8, 79],
+    480: [4, 5, 6, 7, 79],
+    490: [4, 5, 79]
+  },
+  460: {
+    0: [61, 62, 63, 64, 75, 76],
+    10: [61, 62, 63, 75, 76],
+    20: [60, 61, 62, 75, 76],
+    30: [59, 60, 61, 75, 76],
+    40: [58, 59, 60, 61, 76],
+    50: [58, 59, 60, 76],
+    60: [57, 58, 59, 76],
+    70: [56, 57, 58, 76, 77],
+    80: [55, 56, 57, 58, 76, 77],
+    90: [54, 55, 56, 57, 76, 77],
+    100: [53, 54, 55, 56, 76, 77],
+    110: [52, 53, 54, 55, 76, 77],
+    120: [52, 53, 54, 76, 77],
+    130: [51, 52, 53, 54, 77],
+    140: [50, 51, 52, 53, 77],
+    150: [49, 50, 51, 52, 77],
+    160: [48, 49, 50, 51, 77],
+    170: [47, 48, 49, 50, 77],
+    180: [46, 47, 48, 49, 77],
+    190: [45, 46, 47, 48, 77],
+    200: [43, 44, 45, 46, 47, 77],
+    210: [42, 43, 44, 45, 46, 77],
+    220: [41, 42, 43, 44, 45, 77, 78],
+    230: [40, 41, 42, 43, 77, 78],
+    240: [39, 40, 41, 42, 77, 78],
+    250: [37, 38, 39, 40, 41, 77, 78],
+    260: [36, 37, 38, 39, 40, 77, 78],
+    270: [35, 36, 37, 38, 39, 77, 78],
+    280: [34, 35, 36, 37, 77, 78],
+    290: [32, 33, 34, 35, 36, 78],
+    300: [31, 32, 33, 34, 35, 78],
+    310: [29, 30, 31, 32, 33, 34, 78],
+    320: [28, 29, 30, 31, 32, 78],
+    330: [26, 27, 28, 29, 30, 31, 78],
+    340: [25, 26, 27, 28, 29, 78],
+    350: [23, 24, 25, 26, 27, 28, 78],
+    360: [22, 23, 24, 25, 26, 78],
+    370: [20, 21, 22, 23, 24, 25, 78],
+    380: [18, 19, 20, 21, 22, 23, 78],
+    390: [17, 18, 19, 20, 21, 22, 78],
+    400: [15, 16, 17, 18, 19, 20, 78],
+    410: [14, 15, 16, 17, 18, 78],
+    420: [12, 13, 14, 15, 16, 17, 78],
+    430: [10, 11, 12, 13, 14, 15, 78],
+    440: [8, 9, 10, 11, 12, 13, 78],
+    450: [7, 8, 9, 10, 11, 12, 78],
+    460: [5, 6, 7, 8, 9, 10, 78],
+    470: [4, 5, 6, 7, 8, 78],
+    480: [4, 5, 6, 7, 78],
+    490: [4, 5, 78]
+  },
+  470: {
+    0: [61, 62, 63, 74, 75],
+    10: [60, 61, 62, 75],
+    20: [59, 60, 61, 62, 75, 76],
+    30: [59, 60, 61, 75, 76],
+    40: [58, 59, 60, 75, 76],
+    50: [57, 58, 59, 75, 76],
+    60: [56, 57, 58, 59, 75, 76],
+    70: [55, 56, 57, 58, 76],
+    80: [55, 56, 57, 76],
+    90: [54, 55, 56, 76],
+    100: [53, 54, 55, 76],
+    110: [52, 53, 54, 55, 76],
+    120: [51, 52, 53, 54, 76, 77],
+    130: [50, 51, 52, 53, 76, 77],
+    140: [49, 50, 51, 52, 76, 77],
+    150: [48, 49, 50, 51, 76, 77],
+    160: [47, 48, 49, 50, 76, 77],
+    170: [46, 47, 48, 49, 76, 77],
+    180: [45, 46, 47, 48, 76, 77],
+    190: [44, 45, 46, 47, 77],
+    200: [43, 44, 45, 46, 77],
+    210: [42, 43, 44, 45, 77],
+    220: [41, 42, 43, 44, 77],
+    230: [39, 40, 41, 42, 43, 77],
+    240: [38, 39, 40, 41, 42, 77],
+    250: [37, 38, 39, 40, 41, 77],
+    260: [36, 37, 38, 39, 77],
+    270: [35, 36, 37, 38, 77],
+    280: [33, 34, 35, 36, 37, 77],
+    290: [32, 33, 34, 35, 36, 77],
+    300: [30, 31, 32, 33, 34, 77, 78],
+    310: [29, 30, 31, 32, 33, 77, 78],
+    320: [27, 28, 29, 30, 31, 77, 78],
+    330: [26, 27, 28, 29, 30, 77, 78],
+    340: [25, 26, 27, 28, 29, 77, 78],
+    350: [23, 24, 25, 26, 27, 77, 78],
+    360: [21, 22, 23, 24, 25, 26, 77, 78],
+    370: [20, 21, 22, 23, 24, 78],
+    380: [19, 20, 21, 22, 23, 78],
+    390: [17, 18, 19, 20, 21, 78],
+    400: [15, 16, 17, 18, 19, 20, 78],
+    410: [14, 15, 16, 17, 18, 78],
+    420: [12, 13, 14, 15, 16, 17, 78],
+    430: [10, 11, 12, 13, 14, 15, 78],
+    440: [9, 10, 11, 12, 13, 78],
+    450: [7, 8, 9, 10, 11, 12, 78],
+    460: [6, 7, 8, 9, 10, 78],
+    470: [4, 5, 6, 7, 8, 9, 78],
+    480: [4, 5, 6, 7, 78],
+    490: [4, 5, 78],
+    500: [78]
+  },
+  480: {
+    0: [60, 61, 62, 63, 74, 75],
+    10: [60, 61, 62, 74, 75],
+    20: [59, 60, 61, 74, 75],
+    30: [58, 59, 60, 75],
+    40: [57, 58, 59, 60, 75],
+    50: [57, 58, 59, 75],
+    60: [56, 57, 58, 75, 76],
+    70: [55, 56, 57, 75, 76],
+    80: [54, 55, 56, 75, 76],
+    90: [53, 54, 55, 56, 75, 76],
+    100: [52, 53, 54, 55, 75, 76],
+    110: [51, 52, 53, 54, 75, 76],
+    120: [51, 52, 53, 76],
+    130: [49, 50, 51, 52, 76],
+    140: [49, 50, 51, 76],
+    150: [48, 49, 50, 76],
+    160: [47, 48, 49, 50, 76],
+    170: [46, 47, 48, 49, 76],
+    180: [44, 45, 46, 47, 48, 76, 77],
+    190: [44, 45, 46, 47, 76, 77],
+    200: [42, 43, 44, 45, 46, 76, 77],
+    210: [41, 42, 43, 44, 76, 77],
+    220: [40, 41, 42, 43, 76, 77],
+    230: [39, 40, 41, 42, 76, 77],
+    240: [38, 39, 40, 41, 76, 77],
+    250: [36, 37, 38, 39, 40, 77],
+    260: [35, 36, 37, 38, 39, 77],
+    270: [34, 35, 36, 37, 38, 77],
+    280: [33, 34, 35, 36, 77],
+    290: [32, 33, 34, 35, 77],
+    300: [30, 31, 32, 33, 34, 77],
+    310: [29, 30, 31, 32, 33, 77],
+    320: [27, 28, 29, 30, 31, 77],
+    330: [26, 27, 28, 29, 30, 77],
+    340: [24, 25, 26, 27, 28, 77],
+    350: [23, 24, 25, 26, 27, 77],
+    360: [22, 23, 24, 25, 26, 77],
+    370: [20, 21, 22, 23, 24, 77],
+    380: [18, 19, 20, 21, 22, 77],
+    390: [17, 18, 19, 20, 21, 77, 78],
+    400: [15, 16, 17, 18, 19, 20, 77, 78],
+    410: [14, 15, 16, 17, 18, 77, 78],
+    420: [12, 13, 14, 15, 16, 17, 77, 78],
+    430: [10, 11, 12, 13, 14, 15, 77, 78],
+    440: [9, 10, 11, 12, 13, 77, 78],
+    450: [7, 8, 9, 10, 11, 77, 78],
+    460: [5, 6, 7, 8, 9, 10, 77, 78],
+    470: [4, 5, 6, 7, 8, 78],
+    480: [4, 5, 6, 7, 78],
+    490: [4, 5, 78],
+    500: [4]
+  },
+  490: {
+    0: [60, 61, 62, 73, 74],
+    10: [59, 60, 61, 74, 75],
+    20: [58, 59, 60, 61, 74, 75],
+    30: [58, 59, 60, 74, 75],
+    40: [57, 58, 59, 74, 75],
+    50: [56, 57, 58, 74, 75],
+    60: [55, 56, 57, 58, 74, 75],
+    70: [54, 55, 56, 57, 75],
+    80: [53, 54, 55, 56, 75],
+    90: [53, 54, 55, 75],
+    100: [52, 53, 54, 75, 76],
+    110: [51, 52, 53, 75, 76],
+    120: [50, 51, 52, 53, 75, 76],
+    130: [49, 50, 51, 52, 75, 76],
+    140: [48, 49, 50, 51, 75, 76],
+    150: [47, 48, 49, 50, 75, 76],
+    160: [46, 47, 48, 49, 76],
+    170: [45, 46, 47, 48, 76],
+    180: [44, 45, 46, 47, 76],
+    190: [43, 44, 45, 46, 76],
+    200: [42, 43, 44, 45, 76],
+    210: [41, 42, 43, 44, 76],
+    220: [40, 41, 42, 43, 76],
+    230: [38, 39, 40, 41, 42, 76],
+    240: [37, 38, 39, 40, 41, 76],
+    250: [36, 37, 38, 39, 40, 76, 77],
+    260: [35, 36, 37, 38, 76, 77],
+    270: [34, 35, 36, 37, 76, 77],
+    280: [32, 33, 34, 35, 36, 76, 77],
+    290: [31, 32, 33, 34, 35, 76, 77],
+    300: [30, 31, 32, 33, 76, 77],
+    310: [28, 29, 30, 31, 32, 76, 77],
+    320: [27, 28, 29, 30, 31, 77],
+    330: [26, 27, 28, 29, 77],
+    340: [24, 25, 26, 27, 28, 77],
+    350: [23, 24, 25, 26, 27, 77],
+    360: [21, 22, 23, 24, 25, 77],
+    370: [20, 21, 22, 23, 24, 77],
+    380: [18, 19, 20, 21, 22, 77],
+    390: [17, 18, 19, 20, 21, 77],
+    400: [15, 16, 17, 18, 19, 77],
+    410: [14, 15, 16, 17, 18, 77],
+    420: [12, 13, 14, 15, 16, 77],
+    430: [10, 11, 12, 13, 14, 15, 77],
+    440: [9, 10, 11, 12, 13, 77],
+    450: [7, 8, 9, 10, 11, 12, 77],
+    460: [6, 7, 8, 9, 10, 77],
+    470: [5, 6, 7, 8, 9, 77],
+    480: [4, 5, 6, 7, 77],
+    490: [4, 5, 6, 77]
+  },
+  500: {
+    0: [60, 61, 62, 73, 74],
+    10: [59, 60, 61, 73, 74],
+    20: [58, 59, 60, 73, 74],
+    30: [57, 58, 59, 74],
+    40: [56, 57, 58, 59, 74],
+    50: [56, 57, 58, 74, 75],
+    60: [55, 56, 57, 74, 75],
+    70: [54, 55, 56, 74, 75],
+    80: [53, 54, 55, 74, 75],
+    90: [52, 53, 54, 55, 74, 75],
+    100: [51, 52, 53, 54, 74, 75],
+    110: [50, 51, 52, 53, 75],
+    120: [49, 50, 51, 52, 75],
+    130: [48, 49, 50, 51, 75],
+    140: [48, 49, 50, 75],
+    150: [47, 48, 49, 75, 76],
+    160: [46, 47, 48, 75, 76],
+    170: [45, 46, 47, 75, 76],
+    180: [43, 44, 45, 46, 47, 75, 76],
+    190: [43, 44, 45, 75, 76],
+    200: [41, 42, 43, 44, 45, 75, 76],
+    210: [40, 41, 42, 43, 75, 76],
+    220: [39, 40, 41, 42, 76],
+    230: [38, 39, 40, 41, 76],
+    240: [37, 38, 39, 40, 76],
+    250: [36, 37, 38, 39, 76],
+    260: [35, 36, 37, 38, 76],
+    270: [33, 34, 35, 36, 37, 76],
+    280: [32, 33, 34, 35, 76],
+    290: [31, 32, 33, 34, 76],
+    300: [29, 30, 31, 32, 33, 76],
+    310: [28, 29, 30, 31, 32, 76],
+    320: [27, 28, 29, 30, 31, 76],
+    330: [25, 26, 27, 28, 29, 76, 77],
+    340: [24, 25, 26, 27, 28, 76, 77],
+    350: [22, 23, 24, 25, 26, 76, 77],
+    360: [21, 22, 23, 24, 25, 76, 77],
+    370: [20, 21, 22, 23, 24, 76, 77],
+    380: [18, 19, 20, 21, 22, 76, 77],
+    390: [17, 18, 19, 20, 21, 76, 77],
+    400: [15, 16, 17, 18, 19, 77],
+    410: [14, 15, 16, 17, 18, 77],
+    420: [12, 13, 14, 15, 16, 77],
+    430: [11, 12, 13, 14, 15, 77],
+    440: [9, 10, 11, 12, 13, 77],
+    450: [7, 8, 9, 10, 11, 12, 77],
+    460: [6, 7, 8, 9, 10, 77],
+    470: [5, 6, 7, 8, 9, 77],
+    480: [5, 6, 7, 77],
+    490: [5, 6, 77]
+  },
+  510: {
+    0: [59, 60, 61, 72, 73],
+    10: [58, 59, 60, 61, 73, 74],
+    20: [58, 59, 60, 73, 74],
+    30: [57, 58, 59, 73, 74],
+    40: [56, 57, 58, 73, 74],
+    50: [55, 56, 57, 73, 74],
+    60: [54, 55, 56, 57, 74],
+    70: [53, 54, 55, 56, 74],
+    80: [53, 54, 55, 74],
+    90: [52, 53, 54, 74, 75],
+    100: [51, 52, 53, 74, 75],
+    110: [50, 51, 52, 74, 75],
+    120: [49, 50, 51, 52, 74, 75],
+    130: [48, 49, 50, 51, 74, 75],
+    140: [47, 48, 49, 50, 74, 75],
+    150: [46, 47, 48, 49, 75],
+    160: [45, 46, 47, 48, 75],
+    170: [44, 45, 46, 47, 75],
+    180: [43, 44, 45, 46, 75],
+    190: [42, 43, 44, 45, 75],
+    200: [41, 42, 43, 44, 75],
+    210: [40, 41, 42, 43, 75, 76],
+    220: [39, 40, 41, 42, 75, 76],
+    230: [38, 39, 40, 41, 75, 76],
+    240: [36, 37, 38, 39, 40, 75, 76],
+    250: [35, 36, 37, 38, 39, 75, 76],
+    260: [34, 35, 36, 37, 75, 76],
+    270: [33, 34, 35, 36, 75, 76],
+    280: [32, 33, 34, 35, 76],
+    290: [30, 31, 32, 33, 34, 76],
+    300: [29, 30, 31, 32, 33, 76],
+    310: [28, 29, 30, 31, 76],
+    320: [26, 27, 28, 29, 30, 76],
+    330: [25, 26, 27, 28, 29, 76],
+    340: [24, 25, 26, 27, 28, 76],
+    350: [22, 23, 24, 25, 26, 76],
+    360: [21, 22, 23, 24, 25, 76],
+    370: [19, 20, 21, 22, 23, 76],
+    380: [18, 19, 20, 21, 22, 76],
+    390: [17, 18, 19, 20, 21, 76],
+    400: [15, 16, 17, 18, 19, 76],
+    410: [14, 15, 16, 17, 18, 76],
+    420: [12, 13, 14, 15, 16, 76],
+    430: [11, 12, 13, 14, 15, 76, 77],
+    440: [9, 10, 11, 12, 13, 76, 77],
+    450: [8, 9, 10, 11, 12, 76, 77],
+    460: [6, 7, 8, 9, 10, 76, 77],
+    470: [5, 6, 7, 8, 9, 76, 77],
+    480: [5, 6, 7, 76, 77],
+    490: [5, 6],
+    500: [5]
+  },
+  520: {
+    0: [59, 60, 61, 72, 73],
+    10: [58, 59, 60, 72, 73],
+    20: [57, 58, 59, 72, 73],
+    30: [56, 57, 58, 59, 73],
+    40: [56, 57, 58, 73, 74],
+    50: [55, 56, 57, 73, 74],
+    60: [54, 55, 56, 73, 74],
+    70: [53, 54, 55, 73, 74],
+    80: [52, 53, 54, 55, 73, 74],
+    90: [51, 52, 53, 54, 73, 74],
+    100: [50, 51, 52, 53, 74],
+    110: [49, 50, 51, 52, 74],
+    120: [49, 50, 51, 74],
+    130: [48, 49, 50, 74],
+    140: [47, 48, 49, 74, 75],
+    150: [46, 47, 48, 74, 75],
+    160: [45, 46, 47, 74, 75],
+    170: [44, 45, 46, 74, 75],
+    180: [43, 44, 45, 46, 74, 75],
+    190: [42, 43, 44, 75],
+    200: [41, 42, 43, 44, 75],
+    210: [39, 40, 41, 42, 75],
+    220: [38, 39, 40, 41, 75],
+    230: [37, 38, 39, 40, 75],
+    240: [36, 37, 38, 39, 75],
+    250: [35, 36, 37, 38, 75],
+    260: [34, 35, 36, 37, 75],
+    270: [32, 33, 34, 35, 36, 75],
+    280: [31, 32, 33, 34, 35, 75, 76],
+    290: [30, 31, 32, 33, 34, 75, 76],
+    300: [29, 30, 31, 32, 75, 76],
+    310: [27, 28, 29, 30, 31, 75, 76],
+    320: [26, 27, 28, 29, 30, 75, 76],
+    330: [25, 26, 27, 28, 29, 75, 76],
+    340: [23, 24, 25, 26, 27, 76],
+    350: [22, 23, 24, 25, 26, 76],
+    360: [21, 22, 23, 24, 25, 76],
+    370: [19, 20, 21, 22, 23, 76],
+    380: [18, 19, 20, 21, 22, 76],
+    390: [16, 17, 18, 19, 20, 76],
+    400: [15, 16, 17, 18, 19, 76],
+    410: [14, 15, 16, 17, 18, 76],
+    420: [12, 13, 14, 15, 16, 76],
+    430: [11, 12, 13, 14, 15, 76],
+    440: [9, 10, 11, 12, 13, 76],
+    450: [8, 9, 10, 11, 12, 76],
+    460: [6, 7, 8, 9, 10, 76],
+    470: [5, 6, 7, 8, 9, 76],
+    480: [5, 6, 7, 76],
+    490: [5, 6, 76],
+    500: [5]
+  },
+  530: {
+    0: [59, 60, 61, 71, 72],
+    10: [58, 59, 60, 72, 73],
+    20: [57, 58, 59, 72, 73],
+    30: [56, 57, 58, 72, 73],
+    40: [55, 56, 57, 72, 73],
+    50: [54, 55, 56, 57, 72, 73],
+    60: [53, 54, 55, 56, 73],
+    70: [53, 54, 55, 73],
+    80: [52, 53, 54, 73, 74],
+    90: [51, 52, 53, 73, 74],
+    100: [50, 51, 52, 73, 74],
+    110: [49, 50, 51, 52, 73, 74],
+    120: [48, 49, 50, 51, 73, 74],
+    130: [47, 48, 49, 50, 74],
+    140: [46, 47, 48, 49, 74],
+    150: [45, 46, 47, 48, 74],
+    160: [44, 45, 46, 47, 74],
+    170: [43, 44, 45, 46, 74],
+    180: [42, 43, 44, 45, 74, 75],
+    190: [41, 42, 43, 44, 74, 75],
+    200: [40, 41, 42, 43, 74, 75],
+    210: [39, 40, 41, 42, 74, 75],
+    220: [38, 39, 40, 41, 74, 75],
+    230: [37, 38, 39, 40, 74, 75],
+    240: [36, 37, 38, 39, 74, 75],
+    250: [35, 36, 37, 38, 75],
+    260: [33, 34, 35, 36, 37, 75],
+    270: [32, 33, 34, 35, 75],
+    280: [31, 32, 33, 34, 75],
+    290: [30, 31, 32, 33, 75],
+    300: [29, 30, 31, 32, 75],
+    310: [27, 28, 29, 30, 31, 75],
+    320: [26, 27, 28, 29, 30, 75],
+    330: [25, 26, 27, 28, 75],
+    340: [23, 24, 25, 26, 27, 75],
+    350: [22, 23, 24, 25, 26, 75, 76],
+    360: [21, 22, 23, 24, 75, 76],
+    370: [19, 20, 21, 22, 23, 75, 76],
+    380: [18, 19, 20, 21, 22, 75, 76],
+    390: [17, 18, 19, 20, 75, 76],
+    400: [15, 16, 17, 18, 19, 75, 76],
+    410: [14, 15, 16, 17, 18, 75, 76],
+    420: [12, 13, 14, 15, 16, 75, 76],
+    430: [11, 12, 13, 14, 15, 76],
+    440: [9, 10, 11, 12, 13, 76],
+    450: [8, 9, 10, 11, 12, 76],
+    460: [7, 8, 9, 10, 11, 76],
+    470: [6, 7, 8, 9, 76],
+    480: [5, 6, 7, 8, 76],
+    490: [5, 6, 76]
+  },
+  540: {
+    0: [58, 59, 60, 71, 72],
+    10: [57, 58, 59, 60, 71, 72],
+    20: [56, 57, 58, 59, 71, 72],
+    30: [56, 57, 58, 71, 72],
+    40: [55, 56, 57, 72, 73],
+    50: [54, 55, 56, 72, 73],
+    60: [53, 54, 55, 72, 73],
+    70: [52, 53, 54, 55, 72, 73],
+    80: [51, 52, 53, 54, 72, 73],
+    90: [50, 51, 52, 53, 73],
+    100: [50, 51, 52, 73],
+    110: [49, 50, 51, 73],
+    120: [48, 49, 50, 73, 74],
+    130: [47, 48, 49, 73, 74],
+    140: [46, 47, 48, 73, 74],
+    150: [45, 46, 47, 48, 73, 74],
+    160: [44, 45, 46, 47, 73, 74],
+    170: [43, 44, 45, 46, 73, 74],
+    180: [42, 43, 44, 45, 74],
+    190: [41, 42, 43, 44, 74],
+    200: [40, 41, 42, 43, 74],
+    210: [39, 40, 41, 42, 74],
+    220: [38, 39, 40, 41, 74],
+    230: [37, 38, 39, 40, 74],
+    240: [36, 37, 38, 74, 75],
+    250: [34, 35, 36, 37, 74, 75],
+    260: [33, 34, 35, 36, 74, 75],
+    270: [32, 33, 34, 35, 74, 75],
+    280: [31, 32, 33, 34, 74, 75],
+    290: [30, 31, 32, 33, 74, 75],
+    300: [28, 29, 30, 31, 32, 74, 75],
+    310: [27, 28, 29, 30, 75],
+    320: [26, 27, 28, 29, 75],
+    330: [25, 26, 27, 28, 75],
+    340: [23, 24, 25, 26, 27, 75],
+    350: [22, 23, 24, 25, 75],
+    360: [21, 22, 23, 24, 75],
+    370: [19, 20, 21, 22, 23, 75],
+    380: [18, 19, 20, 21, 22, 75],
+    390: [16, 17, 18, 19, 20, 75],
+    400: [15, 16, 17, 18, 19, 75],
+    410: [14, 15, 16, 17, 18, 75],
+    420: [13, 14, 15, 16, 75],
+    430: [11, 12, 13, 14, 15, 75],
+    440: [10, 11, 12, 13, 14, 75],
+    450: [8, 9, 10, 11, 12, 75, 76],
+    460: [7, 8, 9, 10, 11, 75, 76],
+    470: [6, 7, 8, 9, 75, 76],
+    480: [6, 7, 8, 75, 76],
+    490: [6, 76]
+  },
+  550: {
+    0: [58, 59, 60, 70, 71],
+    10: [57, 58, 59, 70, 71, 72],
+    20: [56, 57, 58, 71, 72],
+    30: [55, 56, 57, 58, 71, 72],
+    40: [54, 55, 56, 57, 71, 72],
+    50: [54, 55, 56, 71, 72],
+    60: [53, 54, 55, 72],
+    70: [52, 53, 54, 72, 73],
+    80: [51, 52, 53, 72, 73],
+    90: [50, 51, 52, 72, 73],
+    100: [49, 50, 51, 52, 72, 73],
+    110: [48, 49, 50, 51, 72, 73],
+    120: [47, 48, 49, 50, 72, 73],
+    130: [46, 47, 48, 49, 73],
+    140: [45, 46, 47, 48, 73],
+    150: [45, 46, 47, 73],
+    160: [44, 45, 46, 73],
+    170: [43, 44, 45, 73, 74],
+    180: [42, 43, 44, 73, 74],
+    190: [41, 42, 43, 73, 74],
+    200: [39, 40, 41, 42, 73, 74],
+    210: [38, 39, 40, 41, 73, 74],
+    220: [37, 38, 39, 40, 74],
+    230: [36, 37, 38, 39, 74],
+    240: [35, 36, 37, 38, 74],
+    250: [34, 35, 36, 37, 74],
+    260: [33, 34, 35, 36, 74],
+    270: [32, 33, 34, 35, 74],
+    280: [31, 32, 33, 34, 74],
+    290: [29, 30, 31, 32, 33, 74],
+    300: [28, 29, 30, 31, 74],
+    310: [27, 28, 29, 30, 74, 75],
+    320: [26, 27, 28, 29, 74, 75],
+    330: [24, 25, 26, 27, 28, 74, 75],
+    340: [23, 24, 25, 26, 74, 75],
+    350: [22, 23, 24, 25, 74, 75],
+    360: [20, 21, 22, 23, 24, 74, 75],
+    370: [19, 20, 21, 22, 23, 74, 75],
+    380: [18, 19, 20, 21, 75],
+    390: [17, 18, 19, 20, 75],
+    400: [15, 16, 17, 18, 19, 75],
+    410: [14, 15, 16, 17, 18, 75],
+    420: [12, 13, 14, 15, 16, 75],
+    430: [11, 12, 13, 14, 15, 75],
+    440: [10, 11, 12, 13, 75],
+    450: [8, 9, 10, 11, 12, 75],
+    460: [7, 8, 9, 10, 11, 75],
+    470: [6, 7, 8, 9, 10, 75],
+    480: [6, 7, 8, 75],
+    490: [6, 7, 75]
+  },
+  560: {
+    0: [58, 59, 60, 69, 70, 71],
+    10: [57, 58, 59, 70, 71],
+    20: [56, 57, 58, 70, 71],
+    30: [55, 56, 57, 70, 71],
+    40: [54, 55, 56, 71, 72],
+    50: [53, 54, 55, 56, 71, 72],
+    60: [52, 53, 54, 55, 71, 72],
+    70: [52, 53, 54, 71, 72],
+    80: [51, 52, 53, 71, 72],
+    90: [50, 51, 52, 72],
+    100: [49, 50, 51, 72],
+    110: [48, 49, 50, 72, 73],
+    120: [47, 48, 49, 72, 73],
+    130: [46, 47, 48, 49, 72, 73],
+    140: [45, 46, 47, 48, 72, 73],
+    150: [44, 45, 46, 47, 72, 73],
+    160: [43, 44, 45, 46, 73],
+    170: [42, 43, 44, 45, 73],
+    180: [41, 42, 43, 44, 73],
+    190: [40, 41, 42, 43, 73],
+    200: [39, 40, 41, 42, 73],
+    210: [38, 39, 40, 41, 73, 74],
+    220: [37, 38, 39, 40, 73, 74],
+    230: [36, 37, 38, 39, 73, 74],
+    240: [35, 36, 37, 38, 73, 74],
+    250: [34, 35, 36, 37, 73, 74],
+    260: [33, 34, 35, 36, 73, 74],
+    270: [32, 33, 34, 35, 73, 74],
+    280: [30, 31, 32, 33, 74],
+    290: [29, 30, 31, 32, 74],
+    300: [28, 29, 30, 31, 74],
+    310: [27, 28, 29, 30, 74],
+    320: [25, 26, 27, 28, 29, 74],
+    330: [24, 25, 26, 27, 28, 74],
+    340: [23, 24, 25, 26, 74],
+    350: [22, 23, 24, 25, 74],
+    360: [20, 21, 22, 23, 24, 74],
+    370: [19, 20, 21, 22, 23, 74],
+    380: [18, 19, 20, 21, 74],
+    390: [17, 18, 19, 20, 74, 75],
+    400: [15, 16, 17, 18, 19, 74, 75],
+    410: [14, 15, 16, 17, 74, 75],
+    420: [13, 14, 15, 16, 74, 75],
+    430: [11, 12, 13, 14, 15, 74, 75],
+    440: [10, 11, 12, 13, 14, 74, 75],
+    450: [9, 10, 11, 12, 75],
+    460: [7, 8, 9, 10, 11, 75],
+    470: [6, 7, 8, 9, 10, 75],
+    480: [6, 7, 8, 75],
+    490: [6, 7, 75]
+  },
+  570: {
+    0: [57, 58, 59, 60, 69, 70],
+    10: [56, 57, 58, 59, 69, 70, 71],
+    20: [56, 57, 58, 70, 71],
+    30: [55, 56, 57, 70, 71],
+    40: [54, 55, 56, 70, 71],
+    50: [53, 54, 55, 70, 71],
+    60: [52, 53, 54, 71],
+    70: [51, 52, 53, 71, 72],
+    80: [50, 51, 52, 53, 71, 72],
+    90: [49, 50, 51, 52, 71, 72],
+    100: [48, 49, 50, 51, 71, 72],
+    110: [48, 49, 50, 71, 72],
+    120: [47, 48, 49, 72],
+    130: [46, 47, 48, 72],
+    140: [45, 46, 47, 72],
+    150: [44, 45, 46, 72, 73],
+    160: [43, 44, 45, 72, 73],
+    170: [42, 43, 44, 72, 73],
+    180: [41, 42, 43, 44, 72, 73],
+    190: [40, 41, 42, 72, 73],
+    200: [39, 40, 41, 42, 72, 73],
+    210: [38, 39, 40, 73],
+    220: [37, 38, 39, 40, 73],
+    230: [36, 37, 38, 73],
+    240: [35, 36, 37, 38, 73],
+    250: [33, 34, 35, 36, 73],
+    260: [32, 33, 34, 35, 73],
+    270: [31, 32, 33, 34, 73, 74],
+    280: [30, 31, 32, 33, 73, 74],
+    290: [29, 30, 31, 32, 73, 74],
+    300: [28, 29, 30, 31, 73, 74],
+    310: [27, 28, 29, 30, 73, 74],
+    320: [25, 26, 27, 28, 29, 73, 74],
+    330: [24, 25, 26, 27, 74],
+    340: [23, 24, 25, 26, 74],
+    350: [22, 23, 24, 25, 74],
+    360: [20, 21, 22, 23, 24, 74],
+    370: [19, 20, 21, 22, 23, 74],
+    380: [18, 19, 20, 21, 74],
+    390: [17, 18, 19, 20, 74],
+    400: [15, 16, 17, 18, 19, 74],
+    410: [14, 15, 16, 17, 18, 74],
+    420: [13, 14, 15, 16, 74],
+    430: [11, 12, 13, 14, 15, 74],
+    440: [10, 11, 12, 13, 74],
+    450: [9, 10, 11, 12, 74],
+    460: [7, 8, 9, 10, 11, 74],
+    470: [7, 8, 9, 10, 74, 75],
+    480: [6, 7, 8, 74, 75],
+    490: [7, 74]
+  },
+  580: {
+    0: [57, 58, 59, 60, 68, 69, 70],
+    10: [56, 57, 58, 59, 69, 70],
+    20: [55, 56, 57, 58, 69, 70],
+    30: [54, 55, 56, 57, 69, 70],
+    40: [54, 55, 56, 70, 71],
+    50: [53, 54, 55, 70, 71],
+    60: [52, 53, 54, 70, 71],
+    70: [51, 52, 53, 70, 71],
+    80: [50, 51, 52, 70, 71],
+    90: [49, 50, 51, 71],
+    100: [48, 49, 50, 51, 71, 72],
+    110: [47, 48, 49, 50, 71, 72],
+    120: [46, 47, 48, 49, 71, 72],
+    130: [46, 47, 48, 71, 72],
+    140: [44, 45, 46, 47, 71, 72],
+    150: [44, 45, 46, 71, 72],
+    160: [43, 44, 45, 72],
+    170: [42, 43, 44, 72],
+    180: [41, 42, 43, 72],
+    190: [40, 41, 42, 72],
+    200: [39, 40, 41, 72, 73],
+    210: [37, 38, 39, 40, 72, 73],
+    220: [37, 38, 39, 72, 73],
+    230: [35, 36, 37, 38, 72, 73],
+    240: [34, 35, 36, 37, 72, 73],
+    250: [33, 34, 35, 36, 73],
+    260: [32, 33, 34, 35, 73],
+    270: [31, 32, 33, 34, 73],
+    280: [30, 31, 32, 33, 73],
+    290: [29, 30, 31, 32, 73],
+    300: [28, 29, 30, 31, 73],
+    310: [26, 27, 28, 29, 30, 73],
+    320: [25, 26, 27, 28, 73],
+    330: [24, 25, 26, 27, 73],
+    340: [23, 24, 25, 26, 73, 74],
+    350: [22, 23, 24, 25, 73, 74],
+    360: [20, 21, 22, 23, 24, 73, 74],
+    370: [19, 20, 21, 22, 73, 74],
+    380: [18, 19, 20, 21, 73, 74],
+    390: [17, 18, 19, 20, 73, 74],
+    400: [15, 16, 17, 18, 19, 74],
+    410: [14, 15, 16, 17, 74],
+    420: [13, 14, 15, 16, 74],
+    430: [12, 13, 14, 15, 74],
+    440: [10, 11, 12, 13, 14, 74],
+    450: [9, 10, 11, 12, 13, 74],
+    460: [8, 9, 10, 11, 74],
+    470: [7, 8, 9, 10, 74],
+    480: [7, 8, 9, 74],
+    490: [7, 74]
+  },
+  590: {
+    0: [57, 58, 59, 60, 67, 68, 69],
+    10: [56, 57, 58, 68, 69],
+    20: [55, 56, 57, 68, 69, 70],
+    30: [54, 55, 56, 57, 69, 70],
+    40: [53, 54, 55, 56, 69, 70],
+    50: [52, 53, 54, 55, 69, 70],
+    60: [52, 53, 54, 69, 70],
+    70: [51, 52, 53, 70, 71],
+    80: [50, 51, 52, 70, 71],
+    90: [49, 50, 51, 70, 71],
+    100: [48, 49, 50, 70, 71],
+    110: [47, 48, 49, 70, 71],
+    120: [46, 47, 48, 71],
+    130: [45, 46, 47, 48, 71],
+    140: [44, 45, 46, 47, 71, 72],
+    150: [43, 44, 45, 46, 71, 72],
+    160: [42, 43, 44, 45, 71, 72],
+    170: [41, 42, 43, 44, 71, 72],
+    180: [40, 41, 42, 43, 71, 72],
+    190: [39, 40, 41, 42, 72],
+    200: [38, 39, 40, 41, 72],
+    210: [37, 38, 39, 40, 72],
+    220: [36, 37, 38, 39, 72],
+    230: [35, 36, 37, 38, 72],
+    240: [34, 35, 36, 37, 72, 73],
+    250: [33, 34, 35, 36, 72, 73],
+    260: [32, 33, 34, 35, 72, 73],
+    270: [31, 32, 33, 34, 72, 73],
+    280: [30, 31, 32, 33, 72, 73],
+    290: [29, 30, 31, 32, 72, 73],
+    300: [27, 28, 29, 30, 31, 72, 73],
+    310: [26, 27, 28, 29, 73],
+    320: [25, 26, 27, 28, 73],
+    330: [24, 25, 26, 27, 73],
+    340: [23, 24, 25, 26, 73],
+    350: [22, 23, 24, 25, 73],
+    360: [21, 22, 23, 24, 73],
+    370: [19, 20, 21, 22, 73],
+    380: [18, 19, 20, 21, 73],
+    390: [17, 18, 19, 20, 73],
+    400: [15, 16, 17, 18, 19, 73],
+    410: [14, 15, 16, 17, 18, 73, 74],
+    420: [13, 14, 15, 16, 73, 74],
+    430: [12, 13, 14, 15, 73, 74],
+    440: [10, 11, 12, 13, 14, 73, 74],
+    450: [9, 10, 11, 12, 73, 74],
+    460: [8, 9, 10, 11, 73, 74],
+    470: [7, 8, 9, 10, 74],
+    480: [7, 8, 9, 74],
+    490: [7, 8, 74]
+  },
+  600: {
+    0: [57, 58, 59, 67, 68, 69],
+    10: [56, 57, 58, 67, 68, 69],
+    20: [55, 56, 57, 68, 69],
+    30: [54, 55, 56, 68, 69],
+    40: [53, 54, 55, 68, 69, 70],
+    50: [52, 53, 54, 69, 70],
+    60: [51, 52, 53, 54, 69, 70],
+    70: [50, 51, 52, 53, 69, 70],
+    80: [50, 51, 52, 69, 70],
+    90: [49, 50, 51, 70],
+    100: [48, 49, 50, 70, 71],
+    110: [47, 48, 49, 70, 71],
+    120: [46, 47, 48, 70, 71],
+    130: [45, 46, 47, 70, 71],
+    140: [44, 45, 46, 70, 71],
+    150: [43, 44, 45, 71],
+    160: [42, 43, 44, 45, 71],
+    170: [41, 42, 43, 44, 71],
+    180: [40, 41, 42, 43, 71, 72],
+    190: [39, 40, 41, 42, 71, 72],
+    200: [38, 39, 40, 41, 71, 72],
+    210: [37, 38, 39, 40, 71, 72],
+    220: [36, 37, 38, 39, 71, 72],
+    230: [35, 36, 37, 38, 71, 72],
+    240: [34, 35, 36, 37, 72],
+    250: [33, 34, 35, 36, 72],
+    260: [32, 33, 34, 35, 72],
+    270: [31, 32, 33, 34, 72],
+    280: [30, 31, 32, 72],
+    290: [28, 29, 30, 31, 72],
+    300: [27, 28, 29, 30, 72, 73],
+    310: [26, 27, 28, 29, 72, 73],
+    320: [25, 26, 27, 28, 72, 73],
+    330: [24, 25, 26, 27, 72, 73],
+    340: [23, 24, 25, 26, 72, 73],
+    350: [22, 23, 24, 25, 72, 73],
+    360: [20, 21, 22, 23, 72, 73],
+    370: [19, 20, 21, 22, 73],
+    380: [18, 19, 20, 21, 73],
+    390: [17, 18, 19, 20, 73],
+    400: [15, 16, 17, 18, 19, 73],
+    410: [14, 15, 16, 17, 18, 73],
+    420: [13, 14, 15, 16, 73],
+    430: [12, 13, 14, 15, 73],
+    440: [11, 12, 13, 14, 73],
+    450: [10, 11, 12, 13, 73],
+    460: [8, 9, 10, 11, 12, 73],
+    470: [7, 8, 9, 10, 73],
+    480: [7, 8, 9, 73],
+    490: [7, 8, 73]
+  },
+  610: {
+    0: [57, 58, 59, 60, 66, 67, 68],
+    10: [56, 57, 58, 67, 68],
+    20: [55, 56, 57, 67, 68, 69],
+    30: [54, 55, 56, 67, 68, 69],
+    40: [53, 54, 55, 68, 69],
+    50: [52, 53, 54, 68, 69],
+    60: [51, 52, 53, 68, 69],
+    70: [50, 51, 52, 69, 70],
+    80: [49, 50, 51, 52, 69, 70],
+    90: [48, 49, 50, 51, 69, 70],
+    100: [47, 48, 49, 50, 69, 70],
+    110: [46, 47, 48, 49, 69, 70],
+    120: [46, 47, 48, 70],
+    130: [45, 46, 47, 70, 71],
+    140: [44, 45, 46, 70, 71],
+    150: [43, 44, 45, 70, 71],
+    160: [42, 43, 44, 70, 71],
+    170: [41, 42, 43, 70, 71],
+    180: [40, 41, 42, 70, 71],
+    190: [39, 40, 41, 71],
+    200: [38, 39, 40, 71],
+    210: [37, 38, 39, 40, 71],
+    220: [36, 37, 38, 71],
+    230: [35, 36, 37, 38, 71, 72],
+    240: [34, 35, 36, 71, 72],
+    250: [33, 34, 35, 71, 72],
+    260: [32, 33, 34, 71, 72],
+    270: [31, 32, 33, 71, 72],
+    280: [29, 30, 31, 32, 71, 72],
+    290: [28, 29, 30, 31, 72],
+    300: [27, 28, 29, 30, 72],
+    310: [26, 27, 28, 29, 72],
+    320: [25, 26, 27, 28, 72],
+    330: [24, 25, 26, 27, 72],
+    340: [23, 24, 25, 26, 72],
+    350: [21, 22, 23, 24, 25, 72],
+    360: [20, 21, 22, 23, 72, 73],
+    370: [19, 20, 21, 22, 72, 73],
+    380: [18, 19, 20, 21, 72, 73],
+    390: [17, 18, 19, 20, 72, 73],
+    400: [16, 17, 18, 19, 72, 73],
+    410: [14, 15, 16, 17, 18, 72, 73],
+    420: [13, 14, 15, 16, 72, 73],
+    430: [12, 13, 14, 15, 73],
+    440: [11, 12, 13, 14, 73],
+    450: [10, 11, 12, 13, 73],
+    460: [8, 9, 10, 11, 12, 73],
+    470: [8, 9, 10, 73],
+    480: [8, 9, 73],
+    490: [8, 73]
+  },
+  620: {
+    0: [56, 57, 58, 59, 60, 65, 66, 67],
+    10: [56, 57, 58, 66, 67, 68],
+    20: [55, 56, 57, 66, 67, 68],
+    30: [54, 55, 56, 67, 68],
+    40: [53, 54, 55, 67, 68, 69],
+    50: [52, 53, 54, 68, 69],
+    60: [51, 52, 53, 68, 69],
+    70: [50, 51, 52, 68, 69],
+    80: [49, 50, 51, 68, 69],
+    90: [48, 49, 50, 69, 70],
+    100: [47, 48, 49, 69, 70],
+    110: [46, 47, 48, 49, 69, 70],
+    120: [45, 46, 47, 48, 69, 70],
+    130: [44, 45, 46, 47, 69, 70],
+    140: [44, 45, 46, 69, 70],
+    150: [43, 44, 45, 70],
+    160: [42, 43, 44, 70],
+    170: [41, 42, 43, 70, 71],
+    180: [40, 41, 42, 70, 71],
+    190: [39, 40, 41, 70, 71],
+    200: [38, 39, 40, 70, 71],
+    210: [37, 38, 39, 70, 71],
+    220: [36, 37, 38, 71],
+    230: [35, 36, 37, 71],
+    240: [34, 35, 36, 71],
+    250: [33, 34, 35, 71],
+    260: [31, 32, 33, 34, 71],
+    270: [30, 31, 32, 33, 71],
+    280: [29, 30, 31, 32, 71, 72],
+    290: [28, 29, 30, 31, 71, 72],
+    300: [27, 28, 29, 30, 71, 72],
+    310: [26, 27, 28, 29, 71, 72],
+    320: [25, 26, 27, 28, 71, 72],
+    330: [24, 25, 26, 27, 71, 72],
+    340: [23, 24, 25, 72],
+    350: [22, 23, 24, 72],
+    360: [20, 21, 22, 23, 72],
+    370: [19, 20, 21, 22, 72],
+    380: [18, 19, 20, 21, 72],
+    390: [17, 18, 19, 20, 72],
+    400: [16, 17, 18, 19, 72],
+    410: [14, 15, 16, 17, 18, 72],
+    420: [13, 14, 15, 16, 72],
+    430: [12, 13, 14, 15, 72, 73],
+    440: [11, 12, 13, 14, 72, 73],
+    450: [10, 11, 12, 13, 72, 73],
+    460: [9, 10, 11, 12, 72, 73],
+    470: [8, 9, 10, 11, 72, 73],
+    480: [8, 9, 72, 73],
+    490: [8, 72]
+  },
+  630: {
+    0: [56, 57, 58, 59, 60, 61, 63, 64, 65, 66, 67],
+    10: [55, 56, 57, 58, 59, 65, 66, 67],
+    20: [54, 55, 56, 57, 66, 67],
+    30: [53, 54, 55, 56, 66, 67, 68],
+    40: [53, 54, 55, 67, 68],
+    50: [52, 53, 54, 67, 68],
+    60: [51, 52, 53, 67, 68],
+    70: [50, 51, 52, 68, 69],
+    80: [49, 50, 51, 68, 69],
+    90: [48, 49, 50, 68, 69],
+    100: [47, 48, 49, 68, 69],
+    110: [46, 47, 48, 68, 69],
+    120: [45, 46, 47, 69],
+    130: [44, 45, 46, 47, 69, 70],
+    140: [43, 44, 45, 46, 69, 70],
+    150: [42, 43, 44, 45, 69, 70],
+    160: [41, 42, 43, 44, 69, 70],
+    170: [40, 41, 42, 43, 69, 70],
+    180: [40, 41, 42, 70],
+    190: [38, 39, 40, 41, 70],
+    200: [38, 39, 40, 70],
+    210: [36, 37, 38, 39, 70, 71],
+    220: [36, 37, 38, 70, 71],
+    230: [34, 35, 36, 37, 70, 71],
+    240: [33, 34, 35, 36, 70, 71],
+    250: [32, 33, 34, 35, 70, 71],
+    260: [31, 32, 33, 34, 70, 71],
+    270: [30, 31, 32, 33, 71],
+    280: [29, 30, 31, 32, 71],
+    290: [28, 29, 30, 31, 71],
+    300: [27, 28, 29, 30, 71],
+    310: [26, 27, 28, 29, 71],
+    320: [25, 26, 27, 28, 71],
+    330: [24, 25, 26, 27, 71, 72],
+    340: [23, 24, 25, 26, 71, 72],
+    350: [21, 22, 23, 24, 25, 71, 72],
+    360: [20, 21, 22, 23, 71, 72],
+    370: [19, 20, 21, 22, 71, 72],
+    380: [18, 19, 20, 21, 71, 72],
+    390: [17, 18, 19, 20, 72],
+    400: [16, 17, 18, 19, 72],
+    410: [15, 16, 17, 18, 72],
+    420: [14, 15, 16, 72],
+    430: [13, 14, 15, 72],
+    440: [11, 12, 13, 14, 72],
+    450: [10, 11, 12, 13, 72],
+    460: [9, 10, 11, 12, 72],
+    470: [8, 9, 10, 11, 72],
+    480: [8, 9, 10, 72],
+    490: [8, 72],
+    500: [72]
+  },
+  640: {
+    0: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    10: [55, 56, 57, 58, 59, 64, 65, 66],
+    20: [54, 55, 56, 57, 65, 66, 67],
+    30: [53, 54, 55, 56, 65, 66, 67],
+    40: [52, 53, 54, 55, 66, 67],
+    50: [51, 52, 53, 54, 66, 67, 68],
+    60: [51, 52, 53, 67, 68],
+    70: [50, 51, 52, 67, 68],
+    80: [49, 50, 51, 67, 68],
+    90: [48, 49, 50, 67, 68, 69],
+    100: [47, 48, 49, 68, 69],
+    110: [46, 47, 48, 68, 69],
+    120: [45, 46, 47, 68, 69],
+    130: [44, 45, 46, 68, 69],
+    140: [43, 44, 45, 68, 69],
+    150: [42, 43, 44, 45, 69],
+    160: [41, 42, 43, 44, 69, 70],
+    170: [40, 41, 42, 43, 69, 70],
+    180: [39, 40, 41, 42, 69, 70],
+    190: [38, 39, 40, 41, 69, 70],
+    200: [37, 38, 39, 40, 69, 70],
+    210: [36, 37, 38, 39, 69, 70],
+    220: [35, 36, 37, 38, 70],
+    230: [34, 35, 36, 37, 70],
+    240: [33, 34, 35, 36, 70],
+    250: [32, 33, 34, 35, 70],
+    260: [31, 32, 33, 34, 70, 71],
+    270: [30, 31, 32, 33, 70, 71],
+    280: [29, 30, 31, 32, 70, 71],
+    290: [28, 29, 30, 31, 70, 71],
+    300: [27, 28, 29, 30, 70, 71],
+    310: [26, 27, 28, 29, 70, 71],
+    320: [25, 26, 27, 28, 71],
+    330: [24, 25, 26, 27, 71],
+    340: [23, 24, 25, 26, 71],
+    350: [22, 23, 24, 71],
+    360: [21, 22, 23, 71],
+    370: [19, 20, 21, 22, 71],
+    380: [18, 19, 20, 21, 71],
+    390: [17, 18, 19, 20, 71],
+    400: [16, 17, 18, 19, 71, 72],
+    410: [15, 16, 17, 18, 71, 72],
+    420: [14, 15, 16, 17, 71, 72],
+    430: [12, 13, 14, 15, 16, 71, 72],
+    440: [11, 12, 13, 14, 71, 72],
+    450: [10, 11, 12, 13, 71, 72],
+    460: [9, 10, 11, 12, 72],
+    470: [8, 9, 10, 11, 72],
+    480: [8, 9, 10, 72],
+    490: [8, 9, 72],
+    500: [8, 72]
+  },
+  650: {
+    0: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    10: [55, 56, 57, 58, 59, 60, 62, 63, 64, 65, 66],
+    20: [54, 55, 56, 57, 58, 64, 65, 66],
+    30: [53, 54, 55, 56, 65, 66, 67],
+    40: [52, 53, 54, 55, 65, 66, 67],
+    50: [51, 52, 53, 54, 66, 67],
+    60: [50, 51, 52, 53, 66, 67],
+    70: [49, 50, 51, 52, 66, 67, 68],
+    80: [48, 49, 50, 51, 67, 68],
+    90: [48, 49, 50, 67, 68],
+    100: [47, 48, 49, 67, 68],
+    110: [46, 47, 48, 67, 68],
+    120: [45, 46, 47, 68, 69],
+    130: [44, 45, 46, 68, 69],
+    140: [43, 44, 45, 68, 69],
+    150: [42, 43, 44, 68, 69],
+    160: [41, 42, 43, 68, 69],
+    170: [40, 41, 42, 68, 69],
+    180: [39, 40, 41, 42, 69],
+    190: [38, 39, 40, 41, 69],
+    200: [37, 38, 39, 40, 69, 70],
+    210: [36, 37, 38, 39, 69, 70],
+    220: [35, 36, 37, 38, 69, 70],
+    230: [34, 35, 36, 37, 69, 70],
+    240: [33, 34, 35, 36, 69, 70],
+    250: [32, 33, 34, 35, 69, 70],
+    260: [31, 32, 33, 34, 70],
+    270: [30, 31, 32, 33, 70],
+    280: [29, 30, 31, 32, 70],
+    290: [28, 29, 30, 31, 70],
+    300: [27, 28, 29, 30, 70],
+    310: [26, 27, 28, 29, 70, 71],
+    320: [25, 26, 27, 28, 70, 71],
+    330: [24, 25, 26, 27, 70, 71],
+    340: [23, 24, 25, 70, 71],
+    350: [22, 23, 24, 70, 71],
+    360: [20, 21, 22, 23, 70, 71],
+    370: [19, 20, 21, 22, 71],
+    380: [18, 19, 20, 21, 71],
+    390: [17, 18, 19, 20, 71],
+    400: [16, 17, 18, 19, 71],
+    410: [15, 16, 17, 18, 71],
+    420: [14, 15, 16, 17, 71],
+    430: [13, 14, 15, 16, 71],
+    440: [12, 13, 14, 71],
+    450: [11, 12, 13, 71],
+    460: [9, 10, 11, 12, 71],
+    470: [8, 9, 10, 11, 71, 72],
+    480: [8, 9, 10, 71, 72],
+    490: [8, 9, 71, 72],
+    500: [8]
+  },
+  660: {
+    0: [57, 58, 59, 60, 61, 62, 63, 64, 65],
+    10: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    20: [54, 55, 56, 57, 58, 63, 64, 65, 66],
+    30: [53, 54, 55, 56, 64, 65, 66],
+    40: [52, 53, 54, 55, 64, 65, 66],
+    50: [51, 52, 53, 54, 65, 66, 67],
+    60: [50, 51, 52, 53, 65, 66, 67],
+    70: [49, 50, 51, 52, 66, 67],
+    80: [48, 49, 50, 51, 66, 67],
+    90: [47, 48, 49, 50, 66, 67],
+    100: [47, 48, 49, 67, 68],
+    110: [46, 47, 48, 67, 68],
+    120: [45, 46, 47, 67, 68],
+    130: [44, 45, 46, 67, 68],
+    140: [43, 44, 45, 67, 68],
+    150: [42, 43, 44, 68],
+    160: [41, 42, 43, 68, 69],
+    170: [40, 41, 42, 68, 69],
+    180: [39, 40, 41, 68, 69],
+    190: [38, 39, 40, 68, 69],
+    200: [37, 38, 39, 40, 68, 69],
+    210: [36, 37, 38, 39, 69],
+    220: [35, 36, 37, 38, 69],
+    230: [34, 35, 36, 37, 69],
+    240: [33, 34, 35, 36, 69, 70],
+    250: [32, 33, 34, 35, 69, 70],
+    260: [31, 32, 33, 34, 69, 70],
+    270: [30, 31, 32, 33, 69, 70],
+    280: [29, 30, 31, 32, 69, 70],
+    290: [28, 29, 30, 31, 69, 70],
+    300: [27, 28, 29, 30, 70],
+    310: [26, 27, 28, 29, 70],
+    320: [25, 26, 27, 28, 70],
+    330: [24, 25, 26, 70],
+    340: [23, 24, 25, 70],
+    350: [22, 23, 24, 70],
+    360: [21, 22, 23, 70, 71],
+    370: [20, 21, 22, 70, 71],
+    380: [18, 19, 20, 21, 70, 71],
+    390: [17, 18, 19, 20, 70, 71],
+    400: [16, 17, 18, 19, 70, 71],
+    410: [15, 16, 17, 18, 70, 71],
+    420: [14, 15, 16, 17, 70, 71],
+    430: [13, 14, 15, 16, 71],
+    440: [12, 13, 14, 15, 71],
+    450: [11, 12, 13, 14, 71],
+    460: [10, 11, 12, 71],
+    470: [9, 10, 11, 71],
+    480: [8, 9, 10, 71],
+    490: [9, 71]
+  },
+  670: {
+    0: [57, 58, 59, 60, 61, 62, 63, 64],
+    10: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    20: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    30: [53, 54, 55, 56, 57, 63, 64, 65],
+    40: [52, 53, 54, 55, 64, 65, 66],
+    50: [51, 52, 53, 54, 64, 65, 66],
+    60: [50, 51, 52, 53, 65, 66],
+    70: [49, 50, 51, 52, 65, 66],
+    80: [48, 49, 50, 51, 65, 66, 67],
+    90: [47, 48, 49, 50, 66, 67],
+    100: [46, 47, 48, 49, 66, 67],
+    110: [45, 46, 47, 48, 66, 67],
+    120: [45, 46, 47, 67, 68],
+    130: [44, 45, 46, 67, 68],
+    140: [43, 44, 45, 67, 68],
+    150: [42, 43, 44, 67, 68],
+    160: [41, 42, 43, 67, 68],
+    170: [40, 41, 42, 67, 68],
+    180: [39, 40, 41, 68],
+    190: [38, 39, 40, 68, 69],
+    200: [37, 38, 39, 68, 69],
+    210: [36, 37, 38, 68, 69],
+    220: [35, 36, 37, 68, 69],
+    230: [34, 35, 36, 37, 68, 69],
+    240: [33, 34, 35, 36, 69],
+    250: [32, 33, 34, 35, 69],
+    260: [31, 32, 33, 34, 69],
+    270: [30, 31, 32, 33, 69],
+    280: [29, 30, 31, 32, 69],
+    290: [28, 29, 30, 31, 69, 70],
+    300: [27, 28, 29, 30, 69, 70],
+    310: [26, 27, 28, 29, 69, 70],
+    320: [25, 26, 27, 69, 70],
+    330: [24, 25, 26, 27, 69, 70],
+    340: [23, 24, 25, 70],
+    350: [22, 23, 24, 70],
+    360: [21, 22, 23, 70],
+    370: [20, 21, 22, 70],
+    380: [18, 19, 20, 21, 70],
+    390: [18, 19, 20, 70],
+    400: [16, 17, 18, 19, 70],
+    410: [15, 16, 17, 18, 70],
+    420: [14, 15, 16, 17, 70, 71],
+    430: [13, 14, 15, 16, 70, 71],
+    440: [12, 13, 14, 15, 70, 71],
+    450: [11, 12, 13, 14, 70, 71],
+    460: [10, 11, 12, 13, 70, 71],
+    470: [9, 10, 11, 12, 70, 71],
+    480: [9, 10, 11, 70, 71],
+    490: [9, 71]
+  },
+  680: {
+    0: [57, 58, 59, 60, 61, 62, 63],
+    10: [56, 57, 58, 59, 60, 61, 62, 63, 64],
+    20: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    30: [53, 54, 55, 56, 57, 61, 62, 63, 64, 65],
+    40: [52, 53, 54, 55, 63, 64, 65],
+    50: [51, 52, 53, 54, 63, 64, 65],
+    60: [50, 51, 52, 53, 64, 65, 66],
+    70: [49, 50, 51, 52, 64, 65, 66],
+    80: [48, 49, 50, 51, 65, 66],
+    90: [47, 48, 49, 50, 65, 66],
+    100: [46, 47, 48, 49, 65, 66, 67],
+    110: [45, 46, 47, 48, 66, 67],
+    120: [44, 45, 46, 47, 66, 67],
+    130: [44, 45, 46, 66, 67],
+    140: [43, 44, 45, 66, 67],
+    150: [42, 43, 44, 67, 68],
+    160: [41, 42, 43, 67, 68],
+    170: [40, 41, 42, 67, 68],
+    180: [39, 40, 41, 67, 68],
+    190: [38, 39, 40, 67, 68],
+    200: [37, 38, 39, 67, 68],
+    210: [36, 37, 38, 68],
+    220: [35, 36, 37, 68],
+    230: [34, 35, 36, 68, 69],
+    240: [33, 34, 35, 68, 69],
+    250: [32, 33, 34, 35, 68, 69],
+    260: [31, 32, 33, 68, 69],
+    270: [30, 31, 32, 33, 68, 69],
+    280: [29, 30, 31, 68, 69],
+    290: [28, 29, 30, 31, 69],
+    300: [27, 28, 29, 30, 69],
+    310: [26, 27, 28, 69],
+    320: [25, 26, 27, 28, 69],
+    330: [24, 25, 26, 69],
+    340: [23, 24, 25, 69, 70],
+    350: [22, 23, 24, 69, 70],
+    360: [21, 22, 23, 69, 70],
+    370: [20, 21, 22, 69, 70],
+    380: [19, 20, 21, 69, 70],
+    390: [17, 18, 19, 20, 69, 70],
+    400: [16, 17, 18, 19, 70],
+    410: [15, 16, 17, 18, 70],
+    420: [14, 15, 16, 17, 70],
+    430: [13, 14, 15, 16, 70],
+    440: [12, 13, 14, 15, 70],
+    450: [11, 12, 13, 14, 70],
+    460: [10, 11, 12, 13, 70],
+    470: [9, 10, 11, 12, 70],
+    480: [9, 10, 11, 70],
+    490: [9]
+  },
+  690: {
+    0: [57, 58, 59, 60, 61, 62],
+    10: [56, 57, 58, 59, 60, 61, 62, 63],
+    20: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    30: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    40: [52, 53, 54, 55, 56, 61, 62, 63, 64],
+    50: [51, 52, 53, 54, 62, 63, 64, 65],
+    60: [50, 51, 52, 53, 63, 64, 65],
+    70: [49, 50, 51, 52, 64, 65],
+    80: [48, 49, 50, 51, 64, 65, 66],
+    90: [47, 48, 49, 50, 64, 65, 66],
+    100: [46, 47, 48, 49, 65, 66],
+    110: [45, 46, 47, 48, 65, 66],
+    120: [44, 45, 46, 47, 65, 66, 67],
+    130: [43, 44, 45, 46, 66, 67],
+    140: [43, 44, 45, 66, 67],
+    150: [42, 43, 44, 66, 67],
+    160: [41, 42, 43, 66, 67],
+    170: [40, 41, 42, 66, 67],
+    180: [39, 40, 41, 67],
+    190: [38, 39, 40, 67, 68],
+    200: [37, 38, 39, 67, 68],
+    210: [36, 37, 38, 67, 68],
+    220: [35, 36, 37, 67, 68],
+    230: [34, 35, 36, 67, 68],
+    240: [33, 34, 35, 68],
+    250: [32, 33, 34, 68],
+    260: [31, 32, 33, 68],
+    270: [30, 31, 32, 68],
+    280: [29, 30, 31, 68, 69],
+    290: [28, 29, 30, 31, 68, 69],
+    300: [27, 28, 29, 68, 69],
+    310: [26, 27, 28, 29, 68, 69],
+    320: [25, 26, 27, 28, 68, 69],
+    330: [24, 25, 26, 69],
+    340: [23, 24, 25, 26, 69],
+    350: [22, 23, 24, 69],
+    360: [21, 22, 23, 69],
+    370: [20, 21, 22, 69],
+    380: [19, 20, 21, 69],
+    390: [18, 19, 20, 69, 70],
+    400: [17, 18, 19, 69, 70],
+    410: [16, 17, 18, 69, 70],
+    420: [14, 15, 16, 17, 69, 70],
+    430: [13, 14, 15, 16, 69, 70],
+    440: [12, 13, 14, 15, 69, 70],
+    450: [11, 12, 13, 14, 70],
+    460: [10, 11, 12, 13, 70],
+    470: [9, 10, 11, 12, 70],
+    480: [9, 10, 11, 70],
+    490: [9, 10, 70]
+  },
+  700: {
+    0: [58, 59, 60],
+    10: [56, 57, 58, 59, 60, 61, 62],
+    20: [55, 56, 57, 58, 59, 60, 61, 62, 63],
+    30: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    40: [52, 53, 54, 55, 56, 57, 60, 61, 62, 63, 64],
+    50: [51, 52, 53, 54, 55, 61, 62, 63, 64],
+    60: [50, 51, 52, 53, 62, 63, 64],
+    70: [49, 50, 51, 52, 63, 64, 65],
+    80: [48, 49, 50, 51, 63, 64, 65],
+    90: [47, 48, 49, 50, 64, 65],
+    100: [46, 47, 48, 49, 64, 65, 66],
+    110: [45, 46, 47, 48, 65, 66],
+    120: [44, 45, 46, 47, 65, 66],
+    130: [43, 44, 45, 46, 65, 66],
+    140: [42, 43, 44, 45, 65, 66],
+    150: [42, 43, 44, 66, 67],
+    160: [41, 42, 43, 66, 67],
+    170: [40, 41, 42, 66, 67],
+    180: [39, 40, 41, 66, 67],
+    190: [38, 39, 40, 66, 67],
+    200: [37, 38, 39, 66, 67],
+    210: [36, 37, 38, 67],
+    220: [35, 36, 37, 67, 68],
+    230: [34, 35, 36, 67, 68],
+    240: [33, 34, 35, 67, 68],
+    250: [32, 33, 34, 67, 68],
+    260: [31, 32, 33, 67, 68],
+    270: [30, 31, 32, 67, 68],
+    280: [29, 30, 31, 32, 68],
+    290: [28, 29, 30, 68],
+    300: [27, 28, 29, 30, 68],
+    310: [26, 27, 28, 29, 68],
+    320: [25, 26, 27, 68, 69],
+    330: [24, 25, 26, 27, 68, 69],
+    340: [23, 24, 25, 26, 68, 69],
+    350: [22, 23, 24, 68, 69],
+    360: [21, 22, 23, 24, 68, 69],
+    370: [20, 21, 22, 23, 68, 69],
+    380: [19, 20, 21, 69],
+    390: [18, 19, 20, 69],
+    400: [17, 18, 19, 69],
+    410: [16, 17, 18, 69],
+    420: [15, 16, 17, 69],
+    430: [14, 15, 16, 69],
+    440: [13, 14, 15, 69],
+    450: [12, 13, 14, 69],
+    460: [11, 12, 13, 69, 70],
+    470: [10, 11, 12, 69, 70],
+    480: [10, 11, 69, 70],
+    490: [10, 69]
+  },
+  710: {
+    10: [57, 58, 59, 60],
+    20: [55, 56, 57, 58, 59, 60, 61, 62],
+    30: [54, 55, 56, 57, 58, 59, 60, 61, 62],
+    40: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    50: [51, 52, 53, 54, 55, 60, 61, 62, 63],
+    60: [50, 51, 52, 53, 61, 62, 63, 64],
+    70: [49, 50, 51, 52, 62, 63, 64],
+    80: [48, 49, 50, 51, 63, 64],
+    90: [47, 48, 49, 50, 63, 64, 65],
+    100: [46, 47, 48, 49, 64, 65],
+    110: [45, 46, 47, 48, 64, 65],
+    120: [44, 45, 46, 47, 64, 65],
+    130: [43, 44, 45, 46, 65, 66],
+    140: [42, 43, 44, 45, 65, 66],
+    150: [41, 42, 43, 44, 65, 66],
+    160: [41, 42, 43, 65, 66],
+    170: [40, 41, 42, 65, 66],
+    180: [39, 40, 41, 66, 67],
+    190: [38, 39, 40, 66, 67],
+    200: [37, 38, 39, 66, 67],
+    210: [36, 37, 38, 66, 67],
+    220: [35, 36, 37, 66, 67],
+    230: [34, 35, 36, 66, 67],
+    240: [33, 34, 35, 67],
+    250: [32, 33, 34, 67],
+    260: [31, 32, 33, 67, 68],
+    270: [30, 31, 32, 67, 68],
+    280: [29, 30, 31, 67, 68],
+    290: [28, 29, 30, 67, 68],
+    300: [27, 28, 29, 30, 67, 68],
+    310: [26, 27, 28, 67, 68],
+    320: [25, 26, 27, 28, 68],
+    330: [24, 25, 26, 27, 68],
+    340: [23, 24, 25, 68],
+    350: [22, 23, 24, 25, 68],
+    360: [21, 22, 23, 24, 68],
+    370: [20, 21, 22, 68, 69],
+    380: [19, 20, 21, 22, 68, 69],
+    390: [18, 19, 20, 21, 68, 69],
+    400: [17, 18, 19, 20, 68, 69],
+    410: [16, 17, 18, 68, 69],
+    420: [15, 16, 17, 68, 69],
+    430: [14, 15, 16, 69],
+    440: [13, 14, 15, 16, 69],
+    450: [12, 13, 14, 69],
+    460: [11, 12, 13, 69],
+    470: [10, 11, 12, 69],
+    480: [10, 11, 69],
+    490: [10, 69],
+    500: [69]
+  },
+  720: {
+    10: [58, 59],
+    20: [55, 56, 57, 58, 59, 60, 61],
+    30: [54, 55, 56, 57, 58, 59, 60, 61],
+    40: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    50: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    60: [50, 51, 52, 53, 54, 60, 61, 62, 63],
+    70: [49, 50, 51, 52, 61, 62, 63],
+    80: [48, 49, 50, 51, 62, 63, 64],
+    90: [47, 48, 49, 50, 62, 63, 64],
+    100: [46, 47, 48, 49, 63, 64],
+    110: [45, 46, 47, 48, 63, 64, 65],
+    120: [44, 45, 46, 47, 64, 65],
+    130: [43, 44, 45, 46, 64, 65],
+    140: [42, 43, 44, 45, 64, 65],
+    150: [41, 42, 43, 44, 64, 65, 66],
+    160: [41, 42, 43, 65, 66],
+    170: [40, 41, 42, 65, 66],
+    180: [39, 40, 41, 65, 66],
+    190: [38, 39, 40, 65, 66],
+    200: [37, 38, 39, 65, 66],
+    210: [36, 37, 38, 66],
+    220: [35, 36, 37, 66, 67],
+    230: [34, 35, 36, 66, 67],
+    240: [33, 34, 35, 66, 67],
+    250: [32, 33, 34, 66, 67],
+    260: [31, 32, 33, 66, 67],
+    270: [30, 31, 32, 67],
+    280: [29, 30, 31, 67],
+    290: [28, 29, 30, 31, 67],
+    300: [27, 28, 29, 67, 68],
+    310: [26, 27, 28, 29, 67, 68],
+    320: [25, 26, 27, 28, 67, 68],
+    330: [24, 25, 26, 67, 68],
+    340: [23, 24, 25, 26, 67, 68],
+    350: [22, 23, 24, 25, 67, 68],
+    360: [21, 22, 23, 24, 68],
+    370: [20, 21, 22, 23, 68],
+    380: [19, 20, 21, 22, 68],
+    390: [18, 19, 20, 21, 68],
+    400: [17, 18, 19, 20, 68],
+    410: [16, 17, 18, 19, 68],
+    420: [15, 16, 17, 18, 68, 69],
+    430: [14, 15, 16, 17, 68, 69],
+    440: [13, 14, 15, 16, 68, 69],
+    450: [12, 13, 14, 68, 69],
+    460: [11, 12, 13, 14, 68, 69],
+    470: [10, 11, 12, 13, 68, 69],
+    480: [10, 11, 12, 68, 69],
+    490: [10, 11, 69]
+  },
+  730: {
+    20: [56, 57, 58, 59],
+    30: [54, 55, 56, 57, 58, 59, 60],
+    40: [53, 54, 55, 56, 57, 58, 59, 60, 61],
+    50: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    60: [50, 51, 52, 53, 54, 55, 59, 60, 61, 62],
+    70: [49, 50, 51, 52, 53, 60, 61, 62, 63],
+    80: [48, 49, 50, 51, 61, 62, 63],
+    90: [47, 48, 49, 50, 62, 63],
+    100: [46, 47, 48, 49, 62, 63, 64],
+    110: [45, 46, 47, 48, 63, 64],
+    120: [44, 45, 46, 47, 63, 64],
+    130: [43, 44, 45, 46, 63, 64, 65],
+    140: [42, 43, 44, 45, 64, 65],
+    150: [41, 42, 43, 44, 64, 65],
+    160: [40, 41, 42, 43, 64, 65],
+    170: [40, 41, 42, 64, 65],
+    180: [39, 40, 41, 65, 66],
+    190: [38, 39, 40, 65, 66],
+    200: [37, 38, 39, 65, 66],
+    210: [36, 37, 38, 65, 66],
+    220: [35, 36, 37, 65, 66],
+    230: [34, 35, 36, 65, 66],
+    240: [33, 34, 35, 66],
+    250: [32, 33, 34, 66, 67],
+    260: [31, 32, 33, 66, 67],
+    270: [30, 31, 32, 66, 67],
+    280: [29, 30, 31, 66, 67],
+    290: [28, 29, 30, 31, 66, 67],
+    300: [27, 28, 29, 30, 66, 67],
+    310: [26, 27, 28, 29, 67],
+    320: [25, 26, 27, 28, 67],
+    330: [24, 25, 26, 27, 67],
+    340: [23, 24, 25, 26, 67],
+    350: [22, 23, 24, 25, 67, 68],
+    360: [21, 22, 23, 24, 67, 68],
+    370: [20, 21, 22, 23, 67, 68],
+    380: [19, 20, 21, 22, 67, 68],
+    390: [18, 19, 20, 21, 67, 68],
+    400: [17, 18, 19, 20, 67, 68],
+    410: [16, 17, 18, 19, 68],
+    420: [15, 16, 17, 18, 68],
+    430: [14, 15, 16, 17, 68],
+    440: [13, 14, 15, 16, 68],
+    450: [12, 13, 14, 15, 68],
+    460: [11, 12, 13, 14, 68],
+    470: [11, 12, 13, 68],
+    480: [11, 12, 68, 69],
+    490: [11, 68, 69]
+  },
+  740: {
+    30: [55, 56, 57, 58, 59],
+    40: [53, 54, 55, 56, 57, 58, 59, 60],
+    50: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    60: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    70: [49, 50, 51, 52, 53, 54, 59, 60, 61, 62],
+    80: [48, 49, 50, 51, 52, 60, 61, 62],
+    90: [47, 48, 49, 50, 61, 62, 63],
+    100: [46, 47, 48, 49, 61, 62, 63],
+    110: [45, 46, 47, 48, 62, 63],
+    120: [44, 45, 46, 47, 62, 63, 64],
+    130: [43, 44, 45, 46, 63, 64],
+    140: [42, 43, 44, 45, 63, 64],
+    150: [41, 42, 43, 44, 63, 64],
+    160: [40, 41, 42, 43, 64, 65],
+    170: [40, 41, 42, 64, 65],
+    180: [39, 40, 41, 64, 65],
+    190: [38, 39, 40, 64, 65],
+    200: [37, 38, 39, 64, 65],
+    210: [36, 37, 38, 65, 66],
+    220: [35, 36, 37, 65, 66],
+    230: [34, 35, 36, 65, 66],
+    240: [33, 34, 35, 65, 66],
+    250: [32, 33, 34, 65, 66],
+    260: [31, 32, 33, 65, 66],
+    270: [30, 31, 32, 66],
+    280: [29, 30, 31, 32, 66],
+    290: [28, 29, 30, 31, 66],
+    300: [27, 28, 29, 30, 66, 67],
+    310: [26, 27, 28, 29, 66, 67],
+    320: [25, 26, 27, 28, 66, 67],
+    330: [24, 25, 26, 27, 66, 67],
+    340: [23, 24, 25, 26, 66, 67],
+    350: [22, 23, 24, 25, 67],
+    360: [21, 22, 23, 24, 67],
+    370: [21, 22, 23, 67],
+    380: [19, 20, 21, 22, 67],
+    390: [18, 19, 20, 21, 67],
+    400: [17, 18, 19, 20, 67, 68],
+    410: [17, 18, 19, 67, 68],
+    420: [16, 17, 18, 67, 68],
+    430: [14, 15, 16, 17, 67, 68],
+    440: [13, 14, 15, 16, 67, 68],
+    450: [13, 14, 15, 67, 68],
+    460: [12, 13, 14, 68],
+    470: [11, 12, 13, 68],
+    480: [11, 12, 68],
+    490: [11, 68]
+  },
+  750: {
+    30: [56, 57],
+    40: [54, 55, 56, 57, 58, 59],
+    50: [52, 53, 54, 55, 56, 57, 58, 59, 60],
+    60: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    70: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    80: [48, 49, 50, 51, 52, 59, 60, 61, 62],
+    90: [47, 48, 49, 50, 51, 60, 61, 62],
+    100: [46, 47, 48, 49, 60, 61, 62, 63],
+    110: [45, 46, 47, 48, 61, 62, 63],
+    120: [44, 45, 46, 47, 62, 63],
+    130: [43, 44, 45, 46, 62, 63],
+    140: [43, 44, 45, 62, 63, 64],
+    150: [42, 43, 44, 63, 64],
+    160: [41, 42, 43, 63, 64],
+    170: [40, 41, 42, 63, 64],
+    180: [39, 40, 41, 63, 64, 65],
+    190: [38, 39, 40, 64, 65],
+    200: [37, 38, 39, 64, 65],
+    210: [36, 37, 38, 64, 65],
+    220: [35, 36, 37, 64, 65],
+    230: [34, 35, 36, 64, 65],
+    240: [33, 34, 35, 65],
+    250: [32, 33, 34, 65, 66],
+    260: [31, 32, 33, 65, 66],
+    270: [30, 31, 32, 65, 66],
+    280: [29, 30, 31, 32, 65, 66],
+    290: [28, 29, 30, 31, 65, 66],
+    300: [27, 28, 29, 30, 65, 66],
+    310: [26, 27, 28, 29, 66],
+    320: [25, 26, 27, 28, 66],
+    330: [24, 25, 26, 27, 66],
+    340: [23, 24, 25, 26, 66, 67],
+    350: [23, 24, 25, 66, 67],
+    360: [22, 23, 24, 66, 67],
+    370: [21, 22, 23, 66, 67],
+    380: [20, 21, 22, 66, 67],
+    390: [19, 20, 21, 67],
+    400: [18, 19, 20, 67],
+    410: [17, 18, 19, 67],
+    420: [16, 17, 18, 67],
+    430: [15, 16, 17, 67],
+    440: [14, 15, 16, 67],
+    450: [13, 14, 15, 67, 68],
+    460: [12, 13, 14, 67, 68],
+    470: [11, 12, 13, 67, 68],
+    480: [11, 12, 67, 68],
+    490: [11, 68]
+  },
+  760: {
+    40: [55, 56, 57, 58],
+    50: [53, 54, 55, 56, 57, 58, 59],
+    60: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    70: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    80: [49, 50, 51, 52, 53, 54, 57, 58, 59, 60, 61],
+    90: [48, 49, 50, 51, 59, 60, 61, 62],
+    100: [47, 48, 49, 50, 60, 61, 62],
+    110: [45, 46, 47, 48, 60, 61, 62],
+    120: [44, 45, 46, 47, 61, 62, 63],
+    130: [43, 44, 45, 46, 61, 62, 63],
+    140: [43, 44, 45, 62, 63],
+    150: [42, 43, 44, 62, 63],
+    160: [41, 42, 43, 62, 63, 64],
+    170: [40, 41, 42, 63, 64],
+    180: [39, 40, 41, 63, 64],
+    190: [38, 39, 40, 63, 64],
+    200: [37, 38, 39, 63, 64],
+    210: [36, 37, 38, 64, 65],
+    220: [35, 36, 37, 64, 65],
+    230: [34, 35, 36, 64, 65],
+    240: [33, 34, 35, 64, 65],
+    250: [32, 33, 34, 64, 65],
+    260: [31, 32, 33, 34, 64, 65],
+    270: [30, 31, 32, 33, 65],
+    280: [29, 30, 31, 32, 65, 66],
+    290: [28, 29, 30, 31, 65, 66],
+    300: [27, 28, 29, 30, 65, 66],
+    310: [26, 27, 28, 29, 65, 66],
+    320: [26, 27, 28, 65, 66],
+    330: [25, 26, 27, 65, 66],
+    340: [24, 25, 26, 66],
+    350: [23, 24, 25, 66],
+    360: [22, 23, 24, 66],
+    370: [21, 22, 23, 66],
+    380: [20, 21, 22, 66, 67],
+    390: [19, 20, 21, 66, 67],
+    400: [18, 19, 20, 66, 67],
+    410: [17, 18, 19, 66, 67],
+    420: [16, 17, 18, 66, 67],
+    430: [15, 16, 17, 66, 67],
+    440: [14, 15, 16, 67],
+    450: [13, 14, 15, 67],
+    460: [12, 13, 14, 15, 67],
+    470: [11, 12, 13, 14, 67],
+    480: [11, 12, 13, 67],
+    490: [11, 12, 67],
+    500: [11]
+  },
+  770: {
+    50: [53, 54, 55, 56, 57, 58],
+    60: [52, 53, 54, 55, 56, 57, 58, 59],
+    70: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    80: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    90: [48, 49, 50, 51, 52, 57, 58, 59, 60, 61],
+    100: [47, 48, 49, 50, 59, 60, 61],
+    110: [46, 47, 48, 49, 59, 60, 61, 62],
+    120: [45, 46, 47, 48, 60, 61, 62],
+    130: [44, 45, 46, 60, 61, 62],
+    140: [43, 44, 45, 61, 62, 63],
+    150: [42, 43, 44, 61, 62, 63],
+    160: [41, 42, 43, 62, 63],
+    170: [40, 41, 42, 62, 63],
+    180: [39, 40, 41, 62, 63],
+    190: [38, 39, 40, 63, 64],
+    200: [37, 38, 39, 63, 64],
+    210: [36, 37, 38, 63, 64],
+    220: [35, 36, 37, 63, 64],
+    230: [34, 35, 36, 63, 64],
+    240: [33, 34, 35, 64],
+    250: [32, 33, 34, 35, 64, 65],
+    260: [31, 32, 33, 34, 64, 65],
+    270: [30, 31, 32, 33, 64, 65],
+    280: [29, 30, 31, 32, 64, 65],
+    290: [28, 29, 30, 31, 64, 65],
+    300: [28, 29, 30, 65],
+    310: [27, 28, 29, 65],
+    320: [26, 27, 28, 65, 66],
+    330: [25, 26, 27, 65, 66],
+    340: [24, 25, 26, 65, 66],
+    350: [23, 24, 25, 65, 66],
+    360: [22, 23, 24, 65, 66],
+    370: [21, 22, 23, 65, 66],
+    380: [20, 21, 22, 66],
+    390: [19, 20, 21, 66],
+    400: [18, 19, 20, 66],
+    410: [17, 18, 19, 66],
+    420: [16, 17, 18, 66],
+    430: [15, 16, 17, 18, 66, 67],
+    440: [14, 15, 16, 17, 66, 67],
+    450: [13, 14, 15, 16, 66, 67],
+    460: [12, 13, 14, 15, 66, 67],
+    470: [12, 13, 14, 66, 67],
+    480: [11, 12, 13, 66, 67],
+    490: [11, 12, 67]
+  },
+  780: {
+    50: [55, 56],
+    60: [52, 53, 54, 55, 56, 57, 58],
+    70: [51, 52, 53, 54, 55, 56, 57, 58, 59],
+    80: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    90: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    100: [47, 48, 49, 50, 51, 57, 58, 59, 60, 61],
+    110: [46, 47, 48, 49, 58, 59, 60, 61],
+    120: [45, 46, 47, 48, 59, 60, 61],
+    130: [44, 45, 46, 47, 60, 61, 62],
+    140: [43, 44, 45, 60, 61, 62],
+    150: [42, 43, 44, 61, 62],
+    160: [41, 42, 43, 61, 62],
+    170: [40, 41, 42, 61, 62, 63],
+    180: [39, 40, 41, 62, 63],
+    190: [38, 39, 40, 62, 63],
+    200: [37, 38, 39, 62, 63],
+    210: [36, 37, 38, 62, 63],
+    220: [35, 36, 37, 63, 64],
+    230: [34, 35, 36, 63, 64],
+    240: [33, 34, 35, 36, 63, 64],
+    250: [32, 33, 34, 35, 63, 64],
+    260: [31, 32, 33, 34, 63, 64],
+    270: [30, 31, 32, 33, 64],
+    280: [30, 31, 32, 64, 65],
+    290: [29, 30, 31, 64, 65],
+    300: [28, 29, 30, 64, 65],
+    310: [27, 28, 29, 64, 65],
+    320: [26, 27, 28, 64, 65],
+    330: [25, 26, 27, 64, 65],
+    340: [24, 25, 26, 65],
+    350: [23, 24, 25, 65],
+    360: [22, 23, 24, 65],
+    370: [21, 22, 23, 65, 66],
+    380: [20, 21, 22, 65, 66],
+    390: [19, 20, 21, 22, 65, 66],
+    400: [18, 19, 20, 21, 65, 66],
+    410: [17, 18, 19, 20, 65, 66],
+    420: [16, 17, 18, 19, 65, 66],
+    430: [15, 16, 17, 18, 66],
+    440: [15, 16, 17, 66],
+    450: [14, 15, 16, 66],
+    460: [13, 14, 15, 66],
+    470: [12, 13, 14, 66],
+    480: [12, 13, 66],
+    490: [12]
+  },
+  790: {
+    60: [53, 54, 55, 56],
+    70: [51, 52, 53, 54, 55, 56, 57, 58],
+    80: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    90: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    100: [47, 48, 49, 50, 51, 52, 53, 55, 56, 57, 58, 59, 60],
+    110: [46, 47, 48, 49, 50, 57, 58, 59, 60],
+    120: [45, 46, 47, 48, 58, 59, 60, 61],
+    130: [44, 45, 46, 47, 59, 60, 61],
+    140: [43, 44, 45, 46, 59, 60, 61],
+    150: [42, 43, 44, 45, 60, 61, 62],
+    160: [41, 42, 43, 44, 60, 61, 62],
+    170: [40, 41, 42, 61, 62],
+    180: [39, 40, 41, 61, 62],
+    190: [38, 39, 40, 61, 62, 63],
+    200: [37, 38, 39, 62, 63],
+    210: [36, 37, 38, 39, 62, 63],
+    220: [35, 36, 37, 38, 62, 63],
+    230: [34, 35, 36, 37, 62, 63],
+    240: [33, 34, 35, 36, 63],
+    250: [32, 33, 34, 35, 63, 64],
+    260: [31, 32, 33, 34, 63, 64],
+    270: [31, 32, 33, 63, 64],
+    280: [30, 31, 32, 63, 64],
+    290: [29, 30, 31, 63, 64],
+    300: [28, 29, 30, 64],
+    310: [27, 28, 29, 64],
+    320: [26, 27, 28, 64, 65],
+    330: [25, 26, 27, 64, 65],
+    340: [24, 25, 26, 64, 65],
+    350: [23, 24, 25, 64, 65],
+    360: [22, 23, 24, 64, 65],
+    370: [21, 22, 23, 24, 65],
+    380: [20, 21, 22, 23, 65],
+    390: [19, 20, 21, 22, 65],
+    400: [18, 19, 20, 21, 65],
+    410: [18, 19, 20, 65, 66],
+    420: [17, 18, 19, 65, 66],
+    430: [16, 17, 18, 65, 66],
+    440: [15, 16, 17, 65, 66],
+    450: [14, 15, 16, 65, 66],
+    460: [13, 14, 15, 65, 66],
+    470: [12, 13, 14, 66],
+    480: [12, 13, 66],
+    490: [12]
+  },
+  800: {
+    70: [52, 53, 54, 55, 56],
+    80: [50, 51, 52, 53, 54, 55, 56, 57, 58],
+    90: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    100: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    110: [46, 47, 48, 49, 50, 51, 56, 57, 58, 59],
+    120: [45, 46, 47, 48, 49, 57, 58, 59, 60],
+    130: [44, 45, 46, 47, 58, 59, 60],
+    140: [43, 44, 45, 46, 59, 60, 61],
+    150: [42, 43, 44, 45, 59, 60, 61],
+    160: [41, 42, 43, 44, 60, 61],
+    170: [40, 41, 42, 43, 60, 61, 62],
+    180: [39, 40, 41, 42, 60, 61, 62],
+    190: [38, 39, 40, 41, 61, 62],
+    200: [37, 38, 39, 40, 61, 62],
+    210: [36, 37, 38, 39, 61, 62],
+    220: [35, 36, 37, 38, 61, 62, 63],
+    230: [34, 35, 36, 37, 62, 63],
+    240: [33, 34, 35, 36, 62, 63],
+    250: [33, 34, 35, 62, 63],
+    260: [32, 33, 34, 62, 63],
+    270: [31, 32, 33, 63],
+    280: [30, 31, 32, 63, 64],
+    290: [29, 30, 31, 63, 64],
+    300: [28, 29, 30, 63, 64],
+    310: [27, 28, 29, 63, 64],
+    320: [26, 27, 28, 63, 64],
+    330: [25, 26, 27, 64],
+    340: [24, 25, 26, 27, 64],
+    350: [23, 24, 25, 26, 64],
+    360: [22, 23, 24, 25, 64, 65],
+    370: [22, 23, 24, 64, 65],
+    380: [21, 22, 23, 64, 65],
+    390: [20, 21, 22, 64, 65],
+    400: [19, 20, 21, 64, 65],
+    410: [18, 19, 20, 65],
+    420: [17, 18, 19, 65],
+    430: [16, 17, 18, 65],
+    440: [15, 16, 17, 65],
+    450: [14, 15, 16, 65],
+    460: [13, 14, 15, 16, 65, 66],
+    470: [12, 13, 14, 15, 65, 66],
+    480: [12, 13, 14, 65, 66],
+    490: [12, 13]
+  },
+  810: {
+    70: [54],
+    80: [51, 52, 53, 54, 55, 56],
+    90: [49, 50, 51, 52, 53, 54, 55, 56, 57],
+    100: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    110: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    120: [45, 46, 47, 48, 49, 50, 55, 56, 57, 58, 59],
+    130: [44, 45, 46, 47, 48, 57, 58, 59, 60],
+    140: [43, 44, 45, 46, 47, 58, 59, 60],
+    150: [42, 43, 44, 45, 58, 59, 60],
+    160: [41, 42, 43, 44, 59, 60, 61],
+    170: [40, 41, 42, 43, 59, 60, 61],
+    180: [39, 40, 41, 42, 60, 61],
+    190: [38, 39, 40, 41, 60, 61],
+    200: [37, 38, 39, 40, 60, 61, 62],
+    210: [36, 37, 38, 39, 61, 62],
+    220: [35, 36, 37, 38, 61, 62],
+    230: [35, 36, 37, 61, 62],
+    240: [34, 35, 36, 61, 62],
+    250: [33, 34, 35, 62, 63],
+    260: [32, 33, 34, 62, 63],
+    270: [31, 32, 33, 62, 63],
+    280: [30, 31, 32, 62, 63],
+    290: [29, 30, 31, 62, 63],
+    300: [28, 29, 30, 63],
+    310: [27, 28, 29, 63],
+    320: [26, 27, 28, 29, 63, 64],
+    330: [25, 26, 27, 28, 63, 64],
+    340: [24, 25, 26, 27, 63, 64],
+    350: [23, 24, 25, 26, 63, 64],
+    360: [23, 24, 25, 63, 64],
+    370: [22, 23, 24, 64],
+    380: [21, 22, 23, 64],
+    390: [20, 21, 22, 64],
+    400: [19, 20, 21, 64, 65],
+    410: [18, 19, 20, 64, 65],
+    420: [17, 18, 19, 64, 65],
+    430: [16, 17, 18, 64, 65],
+    440: [15, 16, 17, 18, 64, 65],
+    450: [14, 15, 16, 17, 64, 65],
+    460: [13, 14, 15, 16, 65],
+    470: [13, 14, 15, 65],
+    480: [13, 14, 65],
+    490: [13]
+  },
+  820: {
+    80: [52, 53, 54],
+    90: [50, 51, 52, 53, 54, 55, 56],
+    100: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    110: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    120: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    130: [45, 46, 47, 48, 49, 55, 56, 57, 58, 59],
+    140: [43, 44, 45, 46, 47, 57, 58, 59],
+    150: [42, 43, 44, 45, 46, 57, 58, 59, 60],
+    160: [41, 42, 43, 44, 58, 59, 60],
+    170: [40, 41, 42, 43, 58, 59, 60],
+    180: [39, 40, 41, 42, 59, 60, 61],
+    190: [38, 39, 40, 41, 59, 60, 61],
+    200: [38, 39, 40, 60, 61],
+    210: [37, 38, 39, 60, 61],
+    220: [36, 37, 38, 60, 61, 62],
+    230: [35, 36, 37, 61, 62],
+    240: [34, 35, 36, 61, 62],
+    250: [33, 34, 35, 61, 62],
+    260: [32, 33, 34, 61, 62],
+    270: [31, 32, 33, 61, 62],
+    280: [30, 31, 32, 62, 63],
+    290: [29, 30, 31, 62, 63],
+    300: [28, 29, 30, 31, 62, 63],
+    310: [27, 28, 29, 30, 62, 63],
+    320: [26, 27, 28, 29, 62, 63],
+    330: [26, 27, 28, 63],
+    340: [25, 26, 27, 63],
+    350: [24, 25, 26, 63, 64],
+    360: [23, 24, 25, 63, 64],
+    370: [22, 23, 24, 63, 64],
+    380: [21, 22, 23, 63, 64],
+    390: [20, 21, 22, 63, 64],
+    400: [19, 20, 21, 63, 64],
+    410: [18, 19, 20, 64],
+    420: [17, 18, 19, 20, 64],
+    430: [17, 18, 19, 64],
+    440: [16, 17, 18, 64, 65],
+    450: [15, 16, 17, 64, 65],
+    460: [14, 15, 16, 64, 65],
+    470: [13, 14, 15, 64, 65],
+    480: [13, 14, 64, 65],
+    490: [13, 64]
+  },
+  830: {
+    90: [51, 52, 53, 54, 55],
+    100: [49, 50, 51, 52, 53, 54, 55, 56],
+    110: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    120: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    130: [45, 46, 47, 48, 49, 50, 51, 53, 54, 55, 56, 57, 58],
+    140: [44, 45, 46, 47, 48, 55, 56, 57, 58, 59],
+    150: [43, 44, 45, 46, 56, 57, 58, 59],
+    160: [42, 43, 44, 45, 57, 58, 59],
+    170: [41, 42, 43, 44, 58, 59, 60],
+    180: [40, 41, 42, 58, 59, 60],
+    190: [39, 40, 41, 59, 60],
+    200: [38, 39, 40, 59, 60],
+    210: [37, 38, 39, 59, 60, 61],
+    220: [36, 37, 38, 60, 61],
+    230: [35, 36, 37, 60, 61],
+    240: [34, 35, 36, 60, 61],
+    250: [33, 34, 35, 60, 61, 62],
+    260: [32, 33, 34, 61, 62],
+    270: [31, 32, 33, 61, 62],
+    280: [30, 31, 32, 33, 61, 62],
+    290: [29, 30, 31, 32, 61, 62],
+    300: [28, 29, 30, 31, 61, 62],
+    310: [27, 28, 29, 30, 62, 63],
+    320: [27, 28, 29, 62, 63],
+    330: [26, 27, 28, 62, 63],
+    340: [25, 26, 27, 62, 63],
+    350: [24, 25, 26, 62, 63],
+    360: [23, 24, 25, 62, 63],
+    370: [22, 23, 24, 63],
+    380: [21, 22, 23, 63],
+    390: [20, 21, 22, 23, 63, 64],
+    400: [19, 20, 21, 22, 63, 64],
+    410: [19, 20, 21, 63, 64],
+    420: [18, 19, 20, 63, 64],
+    430: [17, 18, 19, 63, 64],
+    440: [16, 17, 18, 63, 64],
+    450: [15, 16, 17, 64],
+    460: [14, 15, 16, 64],
+    470: [13, 14, 15, 64],
+    480: [13, 14, 64],
+    490: [13, 14, 64]
+  },
+  840: {
+    100: [50, 51, 52, 53, 54, 55],
+    110: [48, 49, 50, 51, 52, 53, 54, 55, 56],
+    120: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    130: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    140: [44, 45, 46, 47, 48, 49, 53, 54, 55, 56, 57, 58],
+    150: [43, 44, 45, 46, 47, 55, 56, 57, 58],
+    160: [42, 43, 44, 45, 56, 57, 58, 59],
+    170: [41, 42, 43, 44, 57, 58, 59],
+    180: [40, 41, 42, 43, 57, 58, 59],
+    190: [39, 40, 41, 42, 58, 59, 60],
+    200: [38, 39, 40, 41, 58, 59, 60],
+    210: [37, 38, 39, 40, 59, 60],
+    220: [36, 37, 38, 59, 60],
+    230: [35, 36, 37, 59, 60, 61],
+    240: [34, 35, 36, 37, 60, 61],
+    250: [33, 34, 35, 36, 60, 61],
+    260: [32, 33, 34, 35, 60, 61],
+    270: [31, 32, 33, 34, 60, 61],
+    280: [30, 31, 32, 33, 61, 62],
+    290: [30, 31, 32, 61, 62],
+    300: [29, 30, 31, 61, 62],
+    310: [28, 29, 30, 61, 62],
+    320: [27, 28, 29, 61, 62],
+    330: [26, 27, 28, 61, 62],
+    340: [25, 26, 27, 62],
+    350: [24, 25, 26, 62, 63],
+    360: [23, 24, 25, 62, 63],
+    370: [22, 23, 24, 25, 62, 63],
+    380: [21, 22, 23, 24, 62, 63],
+    390: [20, 21, 22, 23, 62, 63],
+    400: [20, 21, 22, 62, 63],
+    410: [19, 20, 21, 63],
+    420: [18, 19, 20, 63],
+    430: [17, 18, 19, 63],
+    440: [16, 17, 18, 63, 64],
+    450: [15, 16, 17, 63, 64],
+    460: [14, 15, 16, 17, 63, 64],
+    470: [14, 15, 16, 63, 64],
+    480: [14, 15, 63, 64],
+    490: [14, 64]
+  },
+  850: {
+    110: [49, 50, 51, 52, 53, 54],
+    120: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    130: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    140: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    150: [43, 44, 45, 46, 47, 48, 53, 54, 55, 56, 57],
+    160: [42, 43, 44, 45, 46, 55, 56, 57, 58],
+    170: [41, 42, 43, 44, 45, 56, 57, 58],
+    180: [40, 41, 42, 43, 56, 57, 58, 59],
+    190: [39, 40, 41, 42, 57, 58, 59],
+    200: [38, 39, 40, 41, 57, 58, 59],
+    210: [37, 38, 39, 40, 58, 59],
+    220: [36, 37, 38, 39, 58, 59, 60],
+    230: [35, 36, 37, 38, 59, 60],
+    240: [34, 35, 36, 37, 59, 60],
+    250: [33, 34, 35, 36, 59, 60],
+    260: [32, 33, 34, 35, 59, 60, 61],
+    270: [32, 33, 34, 60, 61],
+    280: [31, 32, 33, 60, 61],
+    290: [30, 31, 32, 60, 61],
+    300: [29, 30, 31, 60, 61],
+    310: [28, 29, 30, 61, 62],
+    320: [27, 28, 29, 61, 62],
+    330: [26, 27, 28, 61, 62],
+    340: [25, 26, 27, 61, 62],
+    350: [24, 25, 26, 27, 61, 62],
+    360: [23, 24, 25, 26, 61, 62],
+    370: [23, 24, 25, 62],
+    380: [22, 23, 24, 62, 63],
+    390: [21, 22, 23, 62, 63],
+    400: [20, 21, 22, 62, 63],
+    410: [19, 20, 21, 62, 63],
+    420: [18, 19, 20, 62, 63],
+    430: [17, 18, 19, 62, 63],
+    440: [16, 17, 18, 19, 63],
+    450: [15, 16, 17, 18, 63],
+    460: [15, 16, 17, 63],
+    470: [14, 15, 16, 63],
+    480: [14, 15, 63, 64],
+    490: [14, 63, 64]
+  },
+  860: {
+    110: [51, 52],
+    120: [48, 49, 50, 51, 52, 53, 54],
+    130: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    140: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    150: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    160: [43, 44, 45, 46, 47, 53, 54, 55, 56, 57],
+    170: [42, 43, 44, 45, 55, 56, 57, 58],
+    180: [40, 41, 42, 43, 44, 55, 56, 57, 58],
+    190: [39, 40, 41, 42, 43, 56, 57, 58],
+    200: [38, 39, 40, 41, 57, 58, 59],
+    210: [37, 38, 39, 40, 57, 58, 59],
+    220: [36, 37, 38, 39, 58, 59],
+    230: [35, 36, 37, 38, 58, 59],
+    240: [35, 36, 37, 58, 59, 60],
+    250: [34, 35, 36, 59, 60],
+    260: [33, 34, 35, 59, 60],
+    270: [32, 33, 34, 59, 60],
+    280: [31, 32, 33, 59, 60, 61],
+    290: [30, 31, 32, 60, 61],
+    300: [29, 30, 31, 60, 61],
+    310: [28, 29, 30, 60, 61],
+    320: [27, 28, 29, 60, 61],
+    330: [26, 27, 28, 29, 60, 61],
+    340: [25, 26, 27, 28, 61, 62],
+    350: [25, 26, 27, 61, 62],
+    360: [24, 25, 26, 61, 62],
+    370: [23, 24, 25, 61, 62],
+    380: [22, 23, 24, 61, 62],
+    390: [21, 22, 23, 61, 62],
+    400: [20, 21, 22, 62],
+    410: [19, 20, 21, 62],
+    420: [18, 19, 20, 21, 62, 63],
+    430: [18, 19, 20, 62, 63],
+    440: [17, 18, 19, 62, 63],
+    450: [16, 17, 18, 62, 63],
+    460: [15, 16, 17, 62, 63],
+    470: [14, 15, 16, 62, 63],
+    480: [14, 15, 63],
+    490: [15, 63]
+  },
+  870: {
+    120: [49, 50, 51, 52, 53],
+    130: [47, 48, 49, 50, 51, 52, 53, 54],
+    140: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    150: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    160: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    170: [42, 43, 44, 45, 46, 53, 54, 55, 56, 57],
+    180: [41, 42, 43, 44, 45, 54, 55, 56, 57],
+    190: [40, 41, 42, 43, 55, 56, 57, 58],
+    200: [39, 40, 41, 42, 56, 57, 58],
+    210: [38, 39, 40, 41, 56, 57, 58],
+    220: [37, 38, 39, 57, 58, 59],
+    230: [36, 37, 38, 57, 58, 59],
+    240: [35, 36, 37, 58, 59],
+    250: [34, 35, 36, 58, 59],
+    260: [33, 34, 35, 58, 59, 60],
+    270: [32, 33, 34, 59, 60],
+    280: [31, 32, 33, 34, 59, 60],
+    290: [30, 31, 32, 33, 59, 60],
+    300: [29, 30, 31, 32, 59, 60],
+    310: [28, 29, 30, 31, 59, 60],
+    320: [27, 28, 29, 30, 60, 61],
+    330: [27, 28, 29, 60, 61],
+    340: [26, 27, 28, 60, 61],
+    350: [25, 26, 27, 60, 61],
+    360: [24, 25, 26, 60, 61],
+    370: [23, 24, 25, 61],
+    380: [22, 23, 24, 61, 62],
+    390: [21, 22, 23, 24, 61, 62],
+    400: [20, 21, 22, 23, 61, 62],
+    410: [20, 21, 22, 61, 62],
+    420: [19, 20, 21, 61, 62],
+    430: [18, 19, 20, 61, 62],
+    440: [17, 18, 19, 62],
+    450: [16, 17, 18, 62],
+    460: [15, 16, 17, 62],
+    470: [15, 16, 17, 62, 63],
+    480: [15, 16, 62, 63],
+    490: [15, 62, 63]
+  },
+  880: {
+    130: [48, 49, 50, 51, 52],
+    140: [46, 47, 48, 49, 50, 51, 52, 53, 54],
+    150: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    160: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    170: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    180: [41, 42, 43, 44, 45, 46, 53, 54, 55, 56],
+    190: [40, 41, 42, 43, 44, 54, 55, 56, 57],
+    200: [39, 40, 41, 42, 55, 56, 57],
+    210: [38, 39, 40, 41, 55, 56, 57, 58],
+    220: [37, 38, 39, 40, 56, 57, 58],
+    230: [36, 37, 38, 39, 56, 57, 58],
+    240: [35, 36, 37, 38, 57, 58],
+    250: [34, 35, 36, 37, 57, 58, 59],
+    260: [33, 34, 35, 36, 58, 59],
+    270: [32, 33, 34, 35, 58, 59],
+    280: [31, 32, 33, 34, 58, 59],
+    290: [30, 31, 32, 33, 58, 59, 60],
+    300: [30, 31, 32, 59, 60],
+    310: [29, 30, 31, 59, 60],
+    320: [28, 29, 30, 59, 60],
+    330: [27, 28, 29, 59, 60],
+    340: [26, 27, 28, 59, 60, 61],
+    350: [25, 26, 27, 60, 61],
+    360: [24, 25, 26, 60, 61],
+    370: [23, 24, 25, 26, 60, 61],
+    380: [22, 23, 24, 25, 60, 61],
+    390: [22, 23, 24, 60, 61],
+    400: [21, 22, 23, 61],
+    410: [20, 21, 22, 61],
+    420: [19, 20, 21, 61, 62],
+    430: [18, 19, 20, 61, 62],
+    440: [17, 18, 19, 61, 62],
+    450: [16, 17, 18, 19, 61, 62],
+    460: [16, 17, 18, 61, 62],
+    470: [15, 16, 17, 61, 62],
+    480: [15, 16, 62],
+    490: [15, 62]
+  },
+  890: {
+    140: [48, 49, 50, 51, 52],
+    150: [46, 47, 48, 49, 50, 51, 52, 53, 54],
+    160: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    170: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    180: [42, 43, 44, 45, 46, 47, 48, 50, 51, 52, 53, 54, 55, 56],
+    190: [40, 41, 42, 43, 44, 45, 53, 54, 55, 56],
+    200: [39, 40, 41, 42, 43, 54, 55, 56, 57],
+    210: [38, 39, 40, 41, 42, 54, 55, 56, 57],
+    220: [37, 38, 39, 40, 55, 56, 57],
+    230: [36, 37, 38, 39, 56, 57, 58],
+    240: [35, 36, 37, 38, 56, 57, 58],
+    250: [34, 35, 36, 37, 56, 57, 58],
+    260: [33, 34, 35, 36, 57, 58],
+    270: [33, 34, 35, 57, 58, 59],
+    280: [32, 33, 34, 57, 58, 59],
+    290: [31, 32, 33, 58, 59],
+    300: [30, 31, 32, 58, 59],
+    310: [29, 30, 31, 58, 59],
+    320: [28, 29, 30, 58, 59, 60],
+    330: [27, 28, 29, 59, 60],
+    340: [26, 27, 28, 29, 59, 60],
+    350: [25, 26, 27, 28, 59, 60],
+    360: [24, 25, 26, 27, 59, 60],
+    370: [24, 25, 26, 60],
+    380: [23, 24, 25, 60, 61],
+    390: [22, 23, 24, 60, 61],
+    400: [21, 22, 23, 60, 61],
+    410: [20, 21, 22, 60, 61],
+    420: [19, 20, 21, 22, 60, 61],
+    430: [18, 19, 20, 21, 60, 61],
+    440: [18, 19, 20, 61],
+    450: [17, 18, 19, 61],
+    460: [16, 17, 18, 61, 62],
+    470: [15, 16, 17, 61, 62],
+    480: [15, 16, 61, 62],
+    490: [15, 16, 61, 62],
+    500: [15]
+  },
+  900: {
+    150: [47, 48, 49, 50, 51, 52],
+    160: [45, 46, 47, 48, 49, 50, 51, 52, 53],
+    170: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    180: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    190: [41, 42, 43, 44, 45, 46, 47, 50, 51, 52, 53, 54, 55],
+    200: [40, 41, 42, 43, 44, 52, 53, 54, 55, 56],
+    210: [39, 40, 41, 42, 53, 54, 55, 56],
+    220: [38, 39, 40, 41, 54, 55, 56, 57],
+    230: [37, 38, 39, 40, 55, 56, 57],
+    240: [36, 37, 38, 39, 55, 56, 57],
+    250: [35, 36, 37, 38, 56, 57],
+    260: [34, 35, 36, 56, 57, 58],
+    270: [33, 34, 35, 56, 57, 58],
+    280: [32, 33, 34, 57, 58],
+    290: [31, 32, 33, 57, 58],
+    300: [30, 31, 32, 33, 57, 58, 59],
+    310: [29, 30, 31, 32, 58, 59],
+    320: [28, 29, 30, 31, 58, 59],
+    330: [27, 28, 29, 30, 58, 59],
+    340: [27, 28, 29, 58, 59],
+    350: [26, 27, 28, 59, 60],
+    360: [25, 26, 27, 59, 60],
+    370: [24, 25, 26, 59, 60],
+    380: [23, 24, 25, 59, 60],
+    390: [22, 23, 24, 59, 60],
+    400: [21, 22, 23, 59, 60],
+    410: [20, 21, 22, 23, 60],
+    420: [20, 21, 22, 60, 61],
+    430: [19, 20, 21, 60, 61],
+    440: [18, 19, 20, 60, 61],
+    450: [17, 18, 19, 60, 61],
+    460: [16, 17, 18, 60, 61],
+    470: [16, 17, 18, 60, 61],
+    480: [15, 16, 17, 61],
+    490: [15, 16, 61]
+  },
+  910: {
+    150: [49],
+    160: [46, 47, 48, 49, 50, 51, 52],
+    170: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    180: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    190: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    200: [40, 41, 42, 43, 44, 45, 46, 50, 51, 52, 53, 54, 55],
+    210: [39, 40, 41, 42, 43, 52, 53, 54, 55],
+    220: [38, 39, 40, 41, 42, 53, 54, 55, 56],
+    230: [37, 38, 39, 40, 54, 55, 56],
+    240: [36, 37, 38, 39, 54, 55, 56],
+    250: [35, 36, 37, 38, 55, 56, 57],
+    260: [34, 35, 36, 37, 55, 56, 57],
+    270: [33, 34, 35, 36, 56, 57],
+    280: [32, 33, 34, 35, 56, 57, 58],
+    290: [31, 32, 33, 34, 56, 57, 58],
+    300: [30, 31, 32, 33, 57, 58],
+    310: [29, 30, 31, 32, 57, 58],
+    320: [29, 30, 31, 57, 58, 59],
+    330: [28, 29, 30, 58, 59],
+    340: [27, 28, 29, 58, 59],
+    350: [26, 27, 28, 58, 59],
+    360: [25, 26, 27, 58, 59],
+    370: [24, 25, 26, 58, 59],
+    380: [23, 24, 25, 26, 59, 60],
+    390: [23, 24, 25, 59, 60],
+    400: [22, 23, 24, 59, 60],
+    410: [21, 22, 23, 59, 60],
+    420: [20, 21, 22, 59, 60],
+    430: [19, 20, 21, 59, 60],
+    440: [18, 19, 20, 60],
+    450: [17, 18, 19, 60, 61],
+    460: [17, 18, 19, 60, 61],
+    470: [16, 17, 18, 60, 61],
+    480: [16, 17, 60, 61],
+    490: [16, 60, 61]
+  },
+  920: {
+    160: [48, 49, 50],
+    170: [45, 46, 47, 48, 49, 50, 51, 52],
+    180: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    190: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    200: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    210: [40, 41, 42, 43, 44, 45, 50, 51, 52, 53, 54, 55],
+    220: [38, 39, 40, 41, 42, 43, 52, 53, 54, 55],
+    230: [37, 38, 39, 40, 41, 53, 54, 55],
+    240: [36, 37, 38, 39, 40, 53, 54, 55, 56],
+    250: [35, 36, 37, 38, 54, 55, 56],
+    260: [34, 35, 36, 37, 54, 55, 56],
+    270: [34, 35, 36, 55, 56, 57],
+    280: [33, 34, 35, 55, 56, 57],
+    290: [32, 33, 34, 56, 57],
+    300: [31, 32, 33, 56, 57],
+    310: [30, 31, 32, 56, 57, 58],
+    320: [29, 30, 31, 57, 58],
+    330: [28, 29, 30, 57, 58],
+    340: [27, 28, 29, 57, 58],
+    350: [26, 27, 28, 29, 57, 58, 59],
+    360: [25, 26, 27, 28, 58, 59],
+    370: [24, 25, 26, 27, 58, 59],
+    380: [24, 25, 26, 58, 59],
+    390: [23, 24, 25, 58, 59],
+    400: [22, 23, 24, 58, 59],
+    410: [21, 22, 23, 59],
+    420: [20, 21, 22, 59, 60],
+    430: [19, 20, 21, 22, 59, 60],
+    440: [19, 20, 21, 59, 60],
+    450: [18, 19, 20, 59, 60],
+    460: [17, 18, 19, 59, 60],
+    470: [16, 17, 18, 59, 60],
+    480: [16, 17, 60],
+    490: [16, 17, 60]
+  },
+  930: {
+    170: [47, 48, 49],
+    180: [45, 46, 47, 48, 49, 50, 51],
+    190: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    200: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    210: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    220: [39, 40, 41, 42, 43, 44, 50, 51, 52, 53, 54],
+    230: [38, 39, 40, 41, 42, 51, 52, 53, 54, 55],
+    240: [37, 38, 39, 40, 41, 52, 53, 54, 55],
+    250: [36, 37, 38, 39, 53, 54, 55],
+    260: [35, 36, 37, 38, 54, 55, 56],
+    270: [34, 35, 36, 37, 54, 55, 56],
+    280: [33, 34, 35, 36, 54, 55, 56],
+    290: [32, 33, 34, 35, 55, 56, 57],
+    300: [31, 32, 33, 34, 55, 56, 57],
+    310: [30, 31, 32, 33, 56, 57],
+    320: [29, 30, 31, 32, 56, 57],
+    330: [28, 29, 30, 31, 56, 57, 58],
+    340: [27, 28, 29, 30, 56, 57, 58],
+    350: [27, 28, 29, 57, 58],
+    360: [26, 27, 28, 57, 58],
+    370: [25, 26, 27, 57, 58],
+    380: [24, 25, 26, 57, 58, 59],
+    390: [23, 24, 25, 58, 59],
+    400: [22, 23, 24, 25, 58, 59],
+    410: [22, 23, 24, 58, 59],
+    420: [21, 22, 23, 58, 59],
+    430: [20, 21, 22, 58, 59],
+    440: [19, 20, 21, 59],
+    450: [18, 19, 20, 59, 60],
+    460: [17, 18, 19, 59, 60],
+    470: [17, 18, 19, 59, 60],
+    480: [16, 17, 18, 59, 60],
+    490: [17, 59, 60]
+  },
+  940: {
+    180: [46, 47, 48, 49],
+    190: [44, 45, 46, 47, 48, 49, 50, 51],
+    200: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    210: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    220: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    230: [38, 39, 40, 41, 42, 43, 44, 50, 51, 52, 53, 54],
+    240: [37, 38, 39, 40, 41, 51, 52, 53, 54],
+    250: [36, 37, 38, 39, 40, 52, 53, 54, 55],
+    260: [35, 36, 37, 38, 39, 53, 54, 55],
+    270: [34, 35, 36, 37, 53, 54, 55],
+    280: [33, 34, 35, 36, 54, 55, 56],
+    290: [32, 33, 34, 35, 54, 55, 56],
+    300: [31, 32, 33, 34, 55, 56],
+    310: [30, 31, 32, 33, 55, 56, 57],
+    320: [30, 31, 32, 55, 56, 57],
+    330: [29, 30, 31, 56, 57],
+    340: [28, 29, 30, 56, 57],
+    350: [27, 28, 29, 56, 57],
+    360: [26, 27, 28, 56, 57, 58],
+    370: [25, 26, 27, 28, 57, 58],
+    380: [24, 25, 26, 27, 57, 58],
+    390: [23, 24, 25, 26, 57, 58],
+    400: [23, 24, 25, 57, 58],
+    410: [22, 23, 24, 57, 58],
+    420: [21, 22, 23, 58, 59],
+    430: [20, 21, 22, 58, 59],
+    440: [19, 20, 21, 58, 59],
+    450: [18, 19, 20, 21, 58, 59],
+    460: [18, 19, 20, 58, 59],
+    470: [17, 18, 19, 58, 59],
+    480: [17, 18, 59],
+    490: [17, 59]
+  },
+  950: {
+    190: [45, 46, 47, 48, 49],
+    200: [43, 44, 45, 46, 47, 48, 49, 50, 51],
+    210: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    220: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    230: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    240: [38, 39, 40, 41, 42, 43, 49, 50, 51, 52, 53],
+    250: [37, 38, 39, 40, 41, 51, 52, 53, 54],
+    260: [36, 37, 38, 39, 52, 53, 54],
+    270: [35, 36, 37, 38, 52, 53, 54, 55],
+    280: [34, 35, 36, 37, 53, 54, 55],
+    290: [33, 34, 35, 36, 53, 54, 55],
+    300: [32, 33, 34, 35, 54, 55, 56],
+    310: [31, 32, 33, 34, 54, 55, 56],
+    320: [30, 31, 32, 33, 54, 55, 56],
+    330: [29, 30, 31, 32, 55, 56],
+    340: [28, 29, 30, 31, 55, 56, 57],
+    350: [27, 28, 29, 30, 55, 56, 57],
+    360: [26, 27, 28, 29, 56, 57],
+    370: [26, 27, 28, 56, 57],
+    380: [25, 26, 27, 56, 57],
+    390: [24, 25, 26, 57, 58],
+    400: [23, 24, 25, 57, 58],
+    410: [22, 23, 24, 57, 58],
+    420: [21, 22, 23, 57, 58],
+    430: [21, 22, 23, 57, 58],
+    440: [20, 21, 22, 57, 58],
+    450: [19, 20, 21, 58, 59],
+    460: [18, 19, 20, 58, 59],
+    470: [17, 18, 19, 58, 59],
+    480: [17, 18, 19, 58, 59],
+    490: [17, 18, 58, 59]
+  },
+  960: {
+    200: [45, 46, 47, 48, 49],
+    210: [43, 44, 45, 46, 47, 48, 49, 50],
+    220: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    230: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    240: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    250: [37, 38, 39, 40, 41, 42, 49, 50, 51, 52, 53],
+    260: [36, 37, 38, 39, 40, 50, 51, 52, 53],
+    270: [35, 36, 37, 38, 39, 51, 52, 53, 54],
+    280: [34, 35, 36, 37, 52, 53, 54],
+    290: [33, 34, 35, 36, 52, 53, 54, 55],
+    300: [32, 33, 34, 35, 53, 54, 55],
+    310: [31, 32, 33, 34, 53, 54, 55],
+    320: [30, 31, 32, 33, 54, 55],
+    330: [29, 30, 31, 32, 54, 55, 56],
+    340: [29, 30, 31, 54, 55, 56],
+    350: [28, 29, 30, 55, 56],
+    360: [27, 28, 29, 55, 56],
+    370: [26, 27, 28, 55, 56, 57],
+    380: [25, 26, 27, 56, 57],
+    390: [24, 25, 26, 27, 56, 57],
+    400: [23, 24, 25, 26, 56, 57],
+    410: [22, 23, 24, 25, 56, 57],
+    420: [22, 23, 24, 56, 57, 58],
+    430: [21, 22, 23, 57, 58],
+    440: [20, 21, 22, 57, 58],
+    450: [19, 20, 21, 57, 58],
+    460: [18, 19, 20, 21, 57, 58],
+    470: [18, 19, 20, 57, 58],
+    480: [18, 19, 58],
+    490: [18, 58]
+  },
+  970: {
+    210: [44, 45, 46, 47, 48],
+    220: [42, 43, 44, 45, 46, 47, 48, 49, 50],
+    230: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    240: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    250: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    260: [37, 38, 39, 40, 41, 42, 48, 49, 50, 51, 52, 53],
+    270: [36, 37, 38, 39, 40, 50, 51, 52, 53],
+    280: [35, 36, 37, 38, 51, 52, 53],
+    290: [34, 35, 36, 37, 51, 52, 53, 54],
+    300: [33, 34, 35, 36, 52, 53, 54],
+    310: [32, 33, 34, 35, 52, 53, 54, 55],
+    320: [31, 32, 33, 34, 53, 54, 55],
+    330: [30, 31, 32, 33, 53, 54, 55],
+    340: [29, 30, 31, 32, 54, 55],
+    350: [28, 29, 30, 31, 54, 55, 56],
+    360: [27, 28, 29, 30, 54, 55, 56],
+    370: [26, 27, 28, 29, 55, 56],
+    380: [25, 26, 27, 28, 55, 56],
+    390: [25, 26, 27, 55, 56],
+    400: [24, 25, 26, 55, 56, 57],
+    410: [23, 24, 25, 56, 57],
+    420: [22, 23, 24, 56, 57],
+    430: [21, 22, 23, 56, 57],
+    440: [20, 21, 22, 23, 56, 57],
+    450: [20, 21, 22, 56, 57, 58],
+    460: [19, 20, 21, 57, 58],
+    470: [18, 19, 20, 57, 58],
+    480: [18, 19, 57, 58],
+    490: [18, 57, 58]
+  },
+  980: {
+    220: [44, 45, 46, 47, 48],
+    230: [42, 43, 44, 45, 46, 47, 48, 49],
+    240: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    250: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    260: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    270: [36, 37, 38, 39, 40, 41, 48, 49, 50, 51, 52],
+    280: [35, 36, 37, 38, 39, 49, 50, 51, 52, 53],
+    290: [34, 35, 36, 37, 38, 50, 51, 52, 53],
+    300: [33, 34, 35, 36, 37, 51, 52, 53],
+    310: [32, 33, 34, 35, 52, 53, 54],
+    320: [31, 32, 33, 34, 52, 53, 54],
+    330: [30, 31, 32, 33, 52, 53, 54],
+    340: [29, 30, 31, 32, 53, 54, 55],
+    350: [28, 29, 30, 31, 53, 54, 55],
+    360: [28, 29, 30, 54, 55],
+    370: [27, 28, 29, 54, 55],
+    380: [26, 27, 28, 54, 55, 56],
+    390: [25, 26, 27, 55, 56],
+    400: [24, 25, 26, 55, 56],
+    410: [23, 24, 25, 26, 55, 56],
+    420: [22, 23, 24, 25, 55, 56],
+    430: [22, 23, 24, 56, 57],
+    440: [21, 22, 23, 56, 57],
+    450: [20, 21, 22, 56, 57],
+    460: [19, 20, 21, 56, 57],
+    470: [19, 20, 21, 56, 57],
+    480: [19, 20, 57],
+    490: [19, 57]
+  },
+  990: {
+    230: [43, 44, 45, 46, 47, 48],
+    240: [41, 42, 43, 44, 45, 46, 47, 48, 49],
+    250: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    260: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    270: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    280: [36, 37, 38, 39, 40, 41, 47, 48, 49, 50, 51, 52],
+    290: [35, 36, 37, 38, 39, 49, 50, 51, 52],
+    300: [34, 35, 36, 37, 50, 51, 52, 53],
+    310: [33, 34, 35, 36, 50, 51, 52, 53],
+    320: [32, 33, 34, 35, 51, 52, 53],
+    330: [31, 32, 33, 34, 52, 53, 54],
+    340: [30, 31, 32, 33, 52, 53, 54],
+    350: [29, 30, 31, 32, 52, 53, 54],
+    360: [28, 29, 30, 31, 53, 54, 55],
+    370: [27, 28, 29, 30, 53, 54, 55],
+    380: [26, 27, 28, 29, 54, 55],
+    390: [25, 26, 27, 28, 54, 55],
+    400: [25, 26, 27, 54, 55, 56],
+    410: [24, 25, 26, 54, 55, 56],
+    420: [23, 24, 25, 55, 56],
+    430: [22, 23, 24, 55, 56],
+    440: [21, 22, 23, 55, 56],
+    450: [20, 21, 22, 23, 55, 56],
+    460: [19, 20, 21, 22, 56, 57],
+    470: [19, 20, 21, 56, 57],
+    480: [19, 20, 56, 57],
+    490: [19, 56, 57],
+    500: [19]
+  },
+  1000: {
+    240: [42, 43, 44, 45, 46, 47],
+    250: [41, 42, 43, 44, 45, 46, 47, 48, 49],
+    260: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    270: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    280: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    290: [35, 36, 37, 38, 39, 40, 41, 47, 48, 49, 50, 51],
+    300: [34, 35, 36, 37, 38, 39, 48, 49, 50, 51, 52],
+    310: [33, 34, 35, 36, 37, 49, 50, 51, 52],
+    320: [32, 33, 34, 35, 36, 50, 51, 52, 53],
+    330: [31, 32, 33, 34, 51, 52, 53],
+    340: [30, 31, 32, 33, 51, 52, 53],
+    350: [29, 30, 31, 32, 52, 53, 54],
+    360: [28, 29, 30, 31, 52, 53, 54],
+    370: [27, 28, 29, 30, 53, 54],
+    380: [27, 28, 29, 53, 54],
+    390: [26, 27, 28, 53, 54, 55],
+    400: [25, 26, 27, 53, 54, 55],
+    410: [24, 25, 26, 27, 54, 55],
+    420: [23, 24, 25, 26, 54, 55],
+    430: [22, 23, 24, 25, 54, 55],
+    440: [22, 23, 24, 54, 55, 56],
+    450: [21, 22, 23, 55, 56],
+    460: [20, 21, 22, 55, 56],
+    470: [19, 20, 21, 55, 56],
+    480: [19, 20, 21, 55, 56],
+    490: [19, 20, 55, 56],
+    500: [19]
+  },
+  1010: {
+    250: [42, 43, 44, 45, 46, 47],
+    260: [40, 41, 42, 43, 44, 45, 46, 47, 48],
+    270: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    280: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    290: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    300: [35, 36, 37, 38, 39, 40, 46, 47, 48, 49, 50, 51],
+    310: [34, 35, 36, 37, 38, 48, 49, 50, 51],
+    320: [33, 34, 35, 36, 37, 49, 50, 51, 52],
+    330: [32, 33, 34, 35, 50, 51, 52],
+    340: [31, 32, 33, 34, 50, 51, 52, 53],
+    350: [30, 31, 32, 33, 51, 52, 53],
+    360: [29, 30, 31, 32, 51, 52, 53],
+    370: [28, 29, 30, 31, 52, 53, 54],
+    380: [27, 28, 29, 30, 52, 53, 54],
+    390: [26, 27, 28, 29, 52, 53, 54],
+    400: [25, 26, 27, 28, 53, 54],
+    410: [24, 25, 26, 27, 53, 54, 55],
+    420: [24, 25, 26, 53, 54, 55],
+    430: [23, 24, 25, 54, 55],
+    440: [22, 23, 24, 54, 55],
+    450: [21, 22, 23, 24, 54, 55],
+    460: [20, 21, 22, 23, 54, 55, 56],
+    470: [20, 21, 22, 55, 56],
+    480: [19, 20, 21, 55, 56],
+    490: [19, 20, 55, 56],
+    500: [55]
+  },
+  1020: {
+    260: [42, 43, 44, 45, 46],
+    270: [40, 41, 42, 43, 44, 45, 46, 47, 48],
+    280: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    290: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    300: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    310: [34, 35, 36, 37, 38, 39, 40, 46, 47, 48, 49, 50, 51],
+    320: [33, 34, 35, 36, 37, 38, 47, 48, 49, 50, 51],
+    330: [32, 33, 34, 35, 36, 48, 49, 50, 51],
+    340: [31, 32, 33, 34, 35, 49, 50, 51, 52],
+    350: [30, 31, 32, 33, 34, 50, 51, 52],
+    360: [29, 30, 31, 32, 33, 50, 51, 52, 53],
+    370: [28, 29, 30, 31, 51, 52, 53],
+    380: [28, 29, 30, 51, 52, 53],
+    390: [27, 28, 29, 52, 53],
+    400: [26, 27, 28, 52, 53, 54],
+    410: [25, 26, 27, 28, 52, 53, 54],
+    420: [24, 25, 26, 27, 53, 54],
+    430: [23, 24, 25, 26, 53, 54],
+    440: [22, 23, 24, 25, 53, 54, 55],
+    450: [22, 23, 24, 53, 54, 55],
+    460: [21, 22, 23, 54, 55],
+    470: [20, 21, 22, 54, 55],
+    480: [20, 21, 22, 54, 55],
+    490: [20, 21, 55],
+    500: [55]
+  },
+  1030: {
+    270: [41, 42, 43, 44, 45, 46],
+    280: [39, 40, 41, 42, 43, 44, 45, 46, 47],
+    290: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    300: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    310: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    320: [34, 35, 36, 37, 38, 39, 40, 45, 46, 47, 48, 49, 50],
+    330: [33, 34, 35, 36, 37, 38, 47, 48, 49, 50, 51],
+    340: [32, 33, 34, 35, 36, 48, 49, 50, 51],
+    350: [31, 32, 33, 34, 35, 49, 50, 51],
+    360: [30, 31, 32, 33, 49, 50, 51, 52],
+    370: [29, 30, 31, 32, 50, 51, 52],
+    380: [28, 29, 30, 31, 50, 51, 52],
+    390: [27, 28, 29, 30, 51, 52, 53],
+    400: [26, 27, 28, 29, 51, 52, 53],
+    410: [25, 26, 27, 28, 52, 53],
+    420: [25, 26, 27, 52, 53],
+    430: [24, 25, 26, 52, 53, 54],
+    440: [23, 24, 25, 53, 54],
+    450: [22, 23, 24, 53, 54],
+    460: [21, 22, 23, 24, 53, 54],
+    470: [21, 22, 23, 53, 54, 55],
+    480: [20, 21, 22, 53, 54, 55],
+    490: [20, 21, 54, 55]
+  },
+  1040: {
+    280: [41, 42, 43, 44, 45],
+    290: [39, 40, 41, 42, 43, 44, 45, 46, 47],
+    300: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    310: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    320: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    330: [34, 35, 36, 37, 38, 39, 44, 45, 46, 47, 48, 49, 50],
+    340: [33, 34, 35, 36, 37, 46, 47, 48, 49, 50],
+    350: [32, 33, 34, 35, 47, 48, 49, 50, 51],
+    360: [31, 32, 33, 34, 48, 49, 50, 51],
+    370: [30, 31, 32, 33, 49, 50, 51],
+    380: [29, 30, 31, 32, 49, 50, 51, 52],
+    390: [28, 29, 30, 31, 50, 51, 52],
+    400: [27, 28, 29, 30, 50, 51, 52],
+    410: [26, 27, 28, 29, 51, 52, 53],
+    420: [25, 26, 27, 28, 51, 52, 53],
+    430: [24, 25, 26, 27, 51, 52, 53],
+    440: [23, 24, 25, 26, 52, 53],
+    450: [23, 24, 25, 52, 53, 54],
+    460: [22, 23, 24, 52, 53, 54],
+    470: [21, 22, 23, 53, 54],
+    480: [21, 22, 53, 54],
+    490: [21, 22, 53]
+  },
+  1050: {
+    290: [41, 42, 43, 44, 45],
+    300: [39, 40, 41, 42, 43, 44, 45, 46],
+    310: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    320: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    330: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    340: [33, 34, 35, 36, 37, 38, 39, 44, 45, 46, 47, 48, 49],
+    350: [32, 33, 34, 35, 36, 37, 46, 47, 48, 49, 50],
+    360: [31, 32, 33, 34, 35, 47, 48, 49, 50],
+    370: [30, 31, 32, 33, 34, 48, 49, 50, 51],
+    380: [29, 30, 31, 32, 33, 48, 49, 50, 51],
+    390: [28, 29, 30, 31, 32, 49, 50, 51],
+    400: [27, 28, 29, 30, 49, 50, 51, 52],
+    410: [26, 27, 28, 29, 50, 51, 52],
+    420: [26, 27, 28, 50, 51, 52],
+    430: [25, 26, 27, 51, 52],
+    440: [24, 25, 26, 51, 52, 53],
+    450: [23, 24, 25, 26, 51, 52, 53],
+    460: [22, 23, 24, 25, 52, 53],
+    470: [22, 23, 24, 52, 53],
+    480: [21, 22, 23, 52, 53],
+    490: [21, 22, 52, 53]
+  },
+  1060: {
+    300: [41, 42, 43, 44],
+    310: [38, 39, 40, 41, 42, 43, 44, 45, 46],
+    320: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    330: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    340: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    350: [33, 34, 35, 36, 37, 38, 39, 40, 43, 44, 45, 46, 47, 48, 49],
+    360: [32, 33, 34, 35, 36, 37, 45, 46, 47, 48, 49],
+    370: [31, 32, 33, 34, 35, 46, 47, 48, 49, 50],
+    380: [30, 31, 32, 33, 34, 47, 48, 49, 50],
+    390: [29, 30, 31, 32, 48, 49, 50, 51],
+    400: [28, 29, 30, 31, 49, 50, 51],
+    410: [27, 28, 29, 30, 49, 50, 51],
+    420: [26, 27, 28, 29, 49, 50, 51, 52],
+    430: [25, 26, 27, 28, 50, 51, 52],
+    440: [24, 25, 26, 27, 50, 51, 52],
+    450: [24, 25, 26, 51, 52],
+    460: [23, 24, 25, 51, 52, 53],
+    470: [22, 23, 24, 51, 52, 53],
+    480: [22, 23, 52, 53],
+    490: [22, 23, 52]
+  },
+  1070: {
+    310: [40, 41, 42, 43],
+    320: [38, 39, 40, 41, 42, 43, 44, 45],
+    330: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    340: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    350: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    360: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    370: [31, 32, 33, 34, 35, 36, 37, 45, 46, 47, 48, 49],
+    380: [30, 31, 32, 33, 34, 35, 46, 47, 48, 49],
+    390: [30, 31, 32, 33, 47, 48, 49, 50],
+    400: [29, 30, 31, 32, 47, 48, 49, 50],
+    410: [28, 29, 30, 31, 48, 49, 50],
+    420: [27, 28, 29, 30, 48, 49, 50, 51],
+    430: [26, 27, 28, 29, 49, 50, 51],
+    440: [25, 26, 27, 28, 49, 50, 51],
+    450: [24, 25, 26, 27, 50, 51, 52],
+    460: [23, 24, 25, 26, 50, 51, 52],
+    470: [23, 24, 25, 50, 51, 52],
+    480: [22, 23, 24, 51, 52],
+    490: [23, 51, 52]
+  },
+  1080: {
+    320: [40, 41, 42],
+    330: [38, 39, 40, 41, 42, 43, 44, 45],
+    340: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    350: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    360: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    370: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    380: [31, 32, 33, 34, 35, 36, 44, 45, 46, 47, 48],
+    390: [30, 31, 32, 33, 34, 35, 45, 46, 47, 48, 49],
+    400: [29, 30, 31, 32, 33, 46, 47, 48, 49],
+    410: [28, 29, 30, 31, 32, 47, 48, 49, 50],
+    420: [27, 28, 29, 30, 31, 47, 48, 49, 50],
+    430: [26, 27, 28, 29, 30, 48, 49, 50],
+    440: [25, 26, 27, 28, 29, 48, 49, 50, 51],
+    450: [25, 26, 27, 28, 49, 50, 51],
+    460: [24, 25, 26, 27, 49, 50, 51],
+    470: [23, 24, 25, 26, 50, 51],
+    480: [23, 24, 25, 50, 51, 52],
+    490: [23, 24, 51]
+  },
+  1090: {
+    330: [41, 42],
+    340: [38, 39, 40, 41, 42, 43, 44],
+    350: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    360: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    370: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    380: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    390: [31, 32, 33, 34, 35, 36, 43, 44, 45, 46, 47, 48],
+    400: [30, 31, 32, 33, 34, 35, 45, 46, 47, 48],
+    410: [29, 30, 31, 32, 33, 46, 47, 48, 49],
+    420: [28, 29, 30, 31, 32, 46, 47, 48, 49],
+    430: [27, 28, 29, 30, 31, 47, 48, 49, 50],
+    440: [26, 27, 28, 29, 48, 49, 50],
+    450: [25, 26, 27, 28, 48, 49, 50],
+    460: [24, 25, 26, 27, 48, 49, 50],
+    470: [24, 25, 26, 49, 50, 51],
+    480: [24, 25, 49, 50, 51],
+    490: [24, 25, 50, 51]
+  },
+  1100: {
+    350: [38, 39, 40, 41, 42, 43],
+    360: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    370: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    380: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    390: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    400: [31, 32, 33, 34, 35, 36, 37, 42, 43, 44, 45, 46, 47],
+    410: [30, 31, 32, 33, 34, 35, 44, 45, 46, 47, 48],
+    420: [29, 30, 31, 32, 33, 45, 46, 47, 48],
+    430: [28, 29, 30, 31, 32, 46, 47, 48, 49],
+    440: [27, 28, 29, 30, 46, 47, 48, 49],
+    450: [26, 27, 28, 29, 47, 48, 49],
+    460: [25, 26, 27, 28, 47, 48, 49, 50],
+    470: [24, 25, 26, 27, 48, 49, 50],
+    480: [24, 25, 26, 48, 49, 50],
+    490: [24, 25, 49]
+  },
+  1110: {
+    360: [37, 38, 39, 40, 41, 42, 43],
+    370: [36, 37, 38, 39, 40, 41, 42, 43, 44],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    390: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    400: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    410: [30, 31, 32, 33, 34, 35, 36, 37, 41, 42, 43, 44, 45, 46, 47],
+    420: [29, 30, 31, 32, 33, 34, 35, 43, 44, 45, 46, 47],
+    430: [28, 29, 30, 31, 32, 33, 44, 45, 46, 47, 48],
+    440: [27, 28, 29, 30, 31, 45, 46, 47, 48],
+    450: [27, 28, 29, 30, 46, 47, 48, 49],
+    460: [26, 27, 28, 29, 46, 47, 48, 49],
+    470: [25, 26, 27, 28, 47, 48, 49],
+    480: [25, 26, 27, 47, 48, 49],
+    490: [25, 26, 48, 49]
+  },
+  1120: {
+    370: [38, 39, 40, 41, 42],
+    380: [36, 37, 38, 39, 40, 41, 42, 43],
+    390: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    400: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    410: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    420: [30, 31, 32, 33, 34, 35, 36, 37, 38, 40, 41, 42, 43, 44, 45, 46],
+    430: [29, 30, 31, 32, 33, 34, 35, 42, 43, 44, 45, 46, 47],
+    440: [28, 29, 30, 31, 32, 33, 44, 45, 46, 47],
+    450: [27, 28, 29, 30, 31, 45, 46, 47, 48],
+    460: [26, 27, 28, 29, 30, 45, 46, 47, 48],
+    470: [26, 27, 28, 29, 46, 47, 48, 49],
+    480: [26, 27, 28, 47, 48, 49],
+    490: [26, 27, 47, 48]
+  },
+  1130: {
+    380: [38, 39, 40, 41],
+    390: [36, 37, 38, 39, 40, 41, 42, 43],
+    400: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    410: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    420: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    430: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    440: [29, 30, 31, 32, 33, 34, 35, 41, 42, 43, 44, 45, 46],
+    450: [28, 29, 30, 31, 32, 33, 43, 44, 45, 46, 47],
+    460: [27, 28, 29, 30, 31, 44, 45, 46, 47],
+    470: [26, 27, 28, 29, 30, 45, 46, 47, 48],
+    480: [26, 27, 28, 29, 45, 46, 47, 48],
+    490: [27, 28, 46, 47, 48]
+  },
+  1140: {
+    390: [38, 39],
+    400: [36, 37, 38, 39, 40, 41, 42],
+    410: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    420: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    440: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    450: [29, 30, 31, 32, 33, 34, 35, 41, 42, 43, 44, 45, 46],
+    460: [28, 29, 30, 31, 32, 33, 42, 43, 44, 45, 46],
+    470: [27, 28, 29, 30, 31, 43, 44, 45, 46, 47],
+    480: [27, 28, 29, 30, 44, 45, 46, 47],
+    490: [27, 28, 29, 45, 46]
+  },
+  1150: {
+    410: [36, 37, 38, 39, 40, 41],
+    420: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    440: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    450: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    460: [29, 30, 31, 32, 33, 34, 35, 36, 40, 41, 42, 43, 44, 45],
+    470: [28, 29, 30, 31, 32, 33, 41, 42, 43, 44, 45, 46],
+    480: [28, 29, 30, 31, 43, 44, 45, 46],
+    490: [28, 29, 30, 44, 45, 46]
+  },
+  1160: {
+    420: [36, 37, 38, 39, 40],
+    430: [34, 35, 36, 37, 38, 39, 40, 41, 42],
+    440: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    450: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    460: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    470: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    480: [29, 30, 31, 32, 33, 40, 41, 42, 43, 44, 45],
+    490: [29, 30, 31, 42, 43, 44]
+  },
+  1170: {
+    430: [36, 37, 38, 39],
+    440: [34, 35, 36, 37, 38, 39, 40, 41],
+    450: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    460: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    470: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    480: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    490: [30, 31, 32, 33, 39, 40, 41, 42, 44]
+  },
+  1180: {
+    440: [37, 38],
+    450: [34, 35, 36, 37, 38, 39, 40],
+    460: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    470: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    480: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    490: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    500: [34]
+  },
+  1190: {
+    460: [34, 35, 36, 37, 38, 39],
+    470: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
+    480: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
+    490: [32, 33, 34, 35, 36, 37, 39, 40],
+    500: [34]
+  }
+};
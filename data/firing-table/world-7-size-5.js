@@ -0,0 +1,5237 @@
+// Firing Table Data for World 7
+// Cannonball size level 5 (radius 12.0px)
+// Generated on 2026-10-19T18:31:50.896Z
+export default {
+  0: {
+    0: [95, 101, 102],
+    10: [95, 101, 102, 103],
+    20: [95, 101, 102, 103],
+    30: [95, 102, 103, 104],
+    40: [95, 102, 103, 104],
+    50: [95, 103, 104],
+    60: [95, 103, 104, 105],
+    70: [95, 103, 104, 105],
+    80: [95, 103, 104, 105, 106],
+    90: [95, 104, 105, 106],
+    100: [95, 104, 105, 106, 107],
+    110: [95, 105, 106, 107],
+    120: [95, 105, 106, 107, 108],
+    130: [95, 106, 107, 108],
+    140: [95, 106, 107, 108, 109],
+    150: [95, 107, 108, 109, 110],
+    160: [94, 95, 107, 108, 109, 110],
+    170: [94, 108, 109, 110, 111],
+    180: [94, 109, 110, 111, 112],
+    190: [94, 109, 110, 111, 112, 113],
+    200: [94, 110, 111, 112, 113, 114],
+    210: [94, 111, 112, 113, 114],
+    220: [94, 111, 112, 113, 114, 115, 116],
+    230: [94, 112, 113, 114, 115, 116],
+    240: [94, 113, 114, 115, 116, 117, 118],
+    250: [94, 114, 115, 116, 117, 118],
+    260: [94, 115, 116, 117, 118, 119, 120],
+    270: [94, 116, 117, 118, 119, 120, 121],
+    280: [94, 117, 118, 119, 120, 121, 122, 123],
+    290: [94, 119, 120, 121, 122, 123, 124],
+    300: [94, 120, 121, 122, 123, 124, 125, 126],
+    310: [94, 121, 122, 123, 124, 125, 126, 127, 128],
+    320: [94, 123, 124, 125, 126, 127, 128, 129],
+    330: [94, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    340: [94, 127, 128, 129, 130, 131, 132, 133],
+    350: [94, 129, 130, 131, 132, 133, 134, 135, 136],
+    360: [94, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    370: [94, 134, 135, 136, 137, 138, 139, 140],
+    380: [94, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    390: [94, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    400: [94, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    410: [94, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    420: [94, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    430: [94, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    440: [94, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    450: [94, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    460: [94, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [94, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    480: [94, 177, 178, 179, 180, 181, 182, 183, 184],
+    490: [94, 181, 182, 183, 184, 185]
+  },
+  10: {
+    0: [94, 95, 100, 101, 102],
+    10: [94, 95, 100, 101, 102],
+    20: [94, 95, 100, 101, 102],
+    30: [94, 101, 102, 103],
+    40: [94, 101, 102, 103],
+    50: [94, 101, 102, 103],
+    60: [94, 102, 103, 104],
+    70: [94, 102, 103, 104],
+    80: [94, 102, 103, 104, 105],
+    90: [94, 103, 104, 105],
+    100: [94, 103, 104, 105, 106],
+    110: [94, 103, 104, 105, 106],
+    120: [94, 104, 105, 106, 107],
+    130: [94, 104, 105, 106, 107],
+    140: [94, 105, 106, 107, 108],
+    150: [94, 105, 106, 107, 108],
+    160: [94, 106, 107, 108, 109],
+    170: [94, 106, 107, 108, 109, 110],
+    180: [94, 107, 108, 109, 110],
+    190: [94, 108, 109, 110, 111],
+    200: [94, 108, 109, 110, 111, 112],
+    210: [94, 109, 110, 111, 112, 113],
+    220: [94, 109, 110, 111, 112, 113, 114],
+    230: [94, 111, 112, 113, 114, 115],
+    240: [94, 111, 112, 113, 114, 115, 116],
+    250: [94, 112, 113, 114, 115, 116, 117],
+    260: [94, 113, 114, 115, 116, 117, 118],
+    270: [94, 114, 115, 116, 117, 118, 119],
+    280: [94, 115, 116, 117, 118, 119, 120, 121],
+    290: [94, 117, 118, 119, 120, 121, 122],
+    300: [94, 117, 118, 119, 120, 121, 122, 123, 124],
+    310: [94, 120, 121, 122, 123, 124, 125],
+    320: [94, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    330: [94, 122, 123, 124, 125, 126, 127, 128, 129],
+    340: [94, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    350: [94, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    360: [94, 129, 130, 131, 132, 133, 134, 135],
+    370: [94, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    380: [94, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    390: [94, 138, 139, 140, 141, 142, 143, 144],
+    400: [94, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    410: [94, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    420: [94, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    430: [94, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    440: [94, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167],
+    450: [94, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [94, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [94, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [94, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    490: [94, 180, 181, 182, 183, 184, 185]
+  },
+  20: {
+    0: [94, 99, 100, 101],
+    10: [94, 99, 100, 101],
+    20: [94, 99, 100, 101],
+    30: [94, 100, 101, 102],
+    40: [94, 100, 101, 102],
+    50: [94, 100, 101, 102],
+    60: [94, 101, 102, 103],
+    70: [94, 101, 102, 103],
+    80: [94, 101, 102, 103],
+    90: [94, 101, 102, 103, 104],
+    100: [94, 102, 103, 104],
+    110: [94, 102, 103, 104, 105],
+    120: [94, 103, 104, 105],
+    130: [94, 103, 104, 105, 106],
+    140: [94, 104, 105, 106],
+    150: [94, 104, 105, 106, 107],
+    160: [94, 104, 105, 106, 107, 108],
+    170: [94, 105, 106, 107, 108],
+    180: [94, 105, 106, 107, 108, 109],
+    190: [94, 106, 107, 108, 109],
+    200: [94, 106, 107, 108, 109, 110],
+    210: [94, 107, 108, 109, 110, 111],
+    220: [94, 108, 109, 110, 111, 112],
+    230: [94, 109, 110, 111, 112, 113],
+    240: [94, 109, 110, 111, 112, 113, 114],
+    250: [94, 110, 111, 112, 113, 114, 115],
+    260: [94, 111, 112, 113, 114, 115, 116],
+    270: [94, 112, 113, 114, 115, 116, 117],
+    280: [94, 113, 114, 115, 116, 117, 118],
+    290: [94, 114, 115, 116, 117, 118, 119, 120],
+    300: [94, 115, 116, 117, 118, 119, 120, 121],
+    310: [94, 117, 118, 119, 120, 121, 122, 123],
+    320: [94, 118, 119, 120, 121, 122, 123, 124, 125],
+    330: [120, 121, 122, 123, 124, 125, 126, 127],
+    340: [121, 122, 123, 124, 125, 126, 127, 128, 129],
+    350: [124, 125, 126, 127, 128, 129, 130, 131],
+    360: [93, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    370: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    380: [132, 133, 134, 135, 136, 137, 138, 139],
+    390: [93, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    400: [93, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    410: [93, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    420: [93, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    430: [93, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    440: [93, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167],
+    450: [93, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    460: [93, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177],
+    470: [93, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    480: [93, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    490: [181, 182, 183, 184, 185]
+  },
+  30: {
+    0: [94, 98, 99, 100],
+    10: [94, 98, 99, 100],
+    20: [94, 99, 100],
+    30: [94, 99, 100, 101],
+    40: [94, 99, 100, 101],
+    50: [94, 99, 100, 101],
+    60: [93, 94, 99, 100, 101, 102],
+    70: [93, 94, 100, 101, 102],
+    80: [93, 94, 100, 101, 102],
+    90: [93, 94, 100, 101, 102, 103],
+    100: [93, 101, 102, 103],
+    110: [93, 101, 102, 103, 104],
+    120: [93, 101, 102, 103, 104],
+    130: [93, 102, 103, 104, 105],
+    140: [93, 102, 103, 104, 105],
+    150: [93, 102, 103, 104, 105],
+    160: [93, 103, 104, 105, 106],
+    170: [93, 104, 105, 106, 107],
+    180: [93, 104, 105, 106, 107],
+    190: [93, 104, 105, 106, 107, 108],
+    200: [93, 105, 106, 107, 108, 109],
+    210: [93, 105, 106, 107, 108, 109, 110],
+    220: [93, 106, 107, 108, 109, 110],
+    230: [93, 106, 107, 108, 109, 110, 111],
+    240: [93, 108, 109, 110, 111, 112],
+    250: [93, 108, 109, 110, 111, 112, 113],
+    260: [93, 109, 110, 111, 112, 113, 114],
+    270: [93, 110, 111, 112, 113, 114, 115],
+    280: [93, 111, 112, 113, 114, 115, 116],
+    290: [93, 112, 113, 114, 115, 116, 117, 118],
+    300: [93, 114, 115, 116, 117, 118, 119],
+    310: [93, 114, 115, 116, 117, 118, 119, 120, 121],
+    320: [93, 116, 117, 118, 119, 120, 121, 122],
+    330: [93, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    340: [93, 119, 120, 121, 122, 123, 124, 125, 126],
+    350: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    360: [93, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    370: [93, 126, 127, 128, 129, 130, 131, 132, 133],
+    380: [93, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    390: [93, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    400: [93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    410: [93, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    420: [93, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    430: [93, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    440: [93, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [93, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    460: [93, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [93, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [93, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [93, 181, 182, 183, 184, 185, 186, 187, 188],
+    500: [188]
+  },
+  40: {
+    0: [93, 97, 98, 99],
+    10: [93, 97, 98, 99],
+    20: [93, 97, 98, 99],
+    30: [93, 98, 99, 100],
+    40: [93, 98, 99, 100],
+    50: [93, 98, 99, 100],
+    60: [93, 98, 99, 100, 101],
+    70: [93, 99, 100, 101],
+    80: [93, 99, 100, 101],
+    90: [93, 99, 100, 101],
+    100: [93, 99, 100, 101, 102],
+    110: [93, 100, 101, 102],
+    120: [93, 100, 101, 102, 103],
+    130: [93, 100, 101, 102, 103],
+    140: [93, 101, 102, 103, 104],
+    150: [93, 101, 102, 103, 104],
+    160: [93, 101, 102, 103, 104, 105],
+    170: [93, 102, 103, 104, 105],
+    180: [93, 102, 103, 104, 105, 106],
+    190: [93, 102, 103, 104, 105, 106],
+    200: [93, 103, 104, 105, 106, 107],
+    210: [93, 103, 104, 105, 106, 107, 108],
+    220: [93, 104, 105, 106, 107, 108],
+    230: [93, 105, 106, 107, 108, 109],
+    240: [93, 105, 106, 107, 108, 109, 110],
+    250: [93, 106, 107, 108, 109, 110, 111],
+    260: [93, 107, 108, 109, 110, 111, 112],
+    270: [93, 107, 108, 109, 110, 111, 112, 113],
+    280: [93, 108, 109, 110, 111, 112, 113, 114],
+    290: [93, 109, 110, 111, 112, 113, 114, 115],
+    300: [93, 110, 111, 112, 113, 114, 115, 116, 117],
+    310: [93, 111, 112, 113, 114, 115, 116, 117, 118],
+    320: [93, 113, 114, 115, 116, 117, 118, 119, 120],
+    330: [93, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    340: [93, 116, 117, 118, 119, 120, 121, 122, 123],
+    350: [93, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    360: [93, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    370: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    380: [93, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    390: [93, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    400: [93, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    410: [93, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    420: [93, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    430: [93, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    440: [93, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    450: [93, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
+    460: [93, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [93, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [93, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [181, 182, 183, 184, 185, 186, 187, 188],
+    500: [188]
+  },
+  50: {
+    0: [93, 96, 97, 98],
+    10: [93, 96, 97, 98],
+    20: [93, 96, 97, 98],
+    30: [93, 97, 98, 99],
+    40: [93, 97, 98, 99],
+    50: [93, 97, 98, 99],
+    60: [93, 97, 98, 99],
+    70: [93, 97, 98, 99, 100],
+    80: [93, 98, 99, 100],
+    90: [93, 98, 99, 100],
+    100: [93, 98, 99, 100, 101],
+    110: [93, 98, 99, 100, 101],
+    120: [93, 99, 100, 101],
+    130: [93, 99, 100, 101, 102],
+    140: [93, 99, 100, 101, 102],
+    150: [93, 100, 101, 102],
+    160: [93, 100, 101, 102, 103],
+    170: [93, 100, 101, 102, 103, 104],
+    180: [93, 101, 102, 103, 104],
+    190: [93, 101, 102, 103, 104, 105],
+    200: [93, 101, 102, 103, 104, 105],
+    210: [93, 102, 103, 104, 105, 106],
+    220: [93, 102, 103, 104, 105, 106, 107],
+    230: [93, 103, 104, 105, 106, 107],
+    240: [93, 103, 104, 105, 106, 107, 108],
+    250: [93, 104, 105, 106, 107, 108],
+    260: [104, 105, 106, 107, 108, 109, 110],
+    270: [105, 106, 107, 108, 109, 110],
+    280: [106, 107, 108, 109, 110, 111, 112],
+    290: [92, 107, 108, 109, 110, 111, 112],
+    300: [107, 108, 109, 110, 111, 112, 113, 114, 115],
+    310: [109, 110, 111, 112, 113, 114, 115],
+    320: [92, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    330: [92, 111, 112, 113, 114, 115, 116, 117, 118],
+    340: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    350: [92, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    360: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    370: [92, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    380: [92, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    390: [92, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    400: [92, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    410: [92, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    420: [92, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    430: [92, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    440: [92, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    450: [92, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    460: [92, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [92, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    480: [92, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191],
+    490: [183, 184, 185, 186, 187, 188, 189, 190, 191]
+  },
+  60: {
+    0: [92, 93, 95, 96, 97],
+    10: [92, 95, 96, 97],
+    20: [92, 95, 96, 97],
+    30: [92, 95, 96, 97],
+    40: [92, 96, 97, 98],
+    50: [92, 96, 97, 98],
+    60: [92, 96, 97, 98],
+    70: [92, 96, 97, 98],
+    80: [92, 96, 97, 98, 99],
+    90: [92, 97, 98, 99],
+    100: [92, 97, 98, 99],
+    110: [92, 97, 98, 99, 100],
+    120: [92, 97, 98, 99, 100],
+    130: [92, 97, 98, 99, 100],
+    140: [92, 98, 99, 100, 101],
+    150: [92, 98, 99, 100, 101],
+    160: [92, 98, 99, 100, 101],
+    170: [92, 98, 99, 100, 101, 102],
+    180: [92, 99, 100, 101, 102],
+    190: [92, 99, 100, 101, 102, 103],
+    200: [92, 99, 100, 101, 102, 103],
+    210: [92, 100, 101, 102, 103, 104],
+    220: [92, 100, 101, 102, 103, 104, 105],
+    230: [92, 101, 102, 103, 104, 105],
+    240: [92, 101, 102, 103, 104, 105, 106],
+    250: [92, 102, 103, 104, 105, 106],
+    260: [92, 102, 103, 104, 105, 106, 107, 108],
+    270: [92, 103, 104, 105, 106, 107, 108],
+    280: [92, 103, 104, 105, 106, 107, 108, 109],
+    290: [92, 104, 105, 106, 107, 108, 109, 110],
+    300: [92, 105, 106, 107, 108, 109, 110, 111, 112],
+    310: [92, 106, 107, 108, 109, 110, 111, 112, 113],
+    320: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    330: [92, 109, 110, 111, 112, 113, 114, 115],
+    340: [92, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    350: [92, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    360: [92, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    370: [92, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    380: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    390: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132],
+    400: [92, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    410: [92, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    420: [92, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    430: [92, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    440: [92, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    450: [92, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    460: [92, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178],
+    470: [92, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    480: [92, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191],
+    490: [92, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191],
+    500: [190, 191]
+  },
+  70: {
+    0: [92, 94, 95, 96],
+    10: [92, 94, 95, 96],
+    20: [92, 94, 95, 96],
+    30: [92, 94, 95, 96],
+    40: [92, 95, 96, 97],
+    50: [92, 95, 96, 97],
+    60: [92, 95, 96, 97],
+    70: [92, 95, 96, 97],
+    80: [92, 95, 96, 97, 98],
+    90: [92, 95, 96, 97, 98],
+    100: [92, 95, 96, 97, 98],
+    110: [92, 95, 96, 97, 98],
+    120: [92, 96, 97, 98, 99],
+    130: [92, 96, 97, 98, 99],
+    140: [92, 96, 97, 98, 99],
+    150: [92, 96, 97, 98, 99, 100],
+    160: [92, 97, 98, 99, 100],
+    170: [92, 97, 98, 99, 100],
+    180: [92, 97, 98, 99, 100, 101],
+    190: [92, 97, 98, 99, 100, 101],
+    200: [92, 97, 98, 99, 100, 101, 102],
+    210: [92, 98, 99, 100, 101, 102],
+    220: [92, 98, 99, 100, 101, 102, 103],
+    230: [92, 99, 100, 101, 102, 103],
+    240: [92, 99, 100, 101, 102, 103, 104],
+    250: [92, 99, 100, 101, 102, 103, 104],
+    260: [92, 100, 101, 102, 103, 104, 105],
+    270: [92, 100, 101, 102, 103, 104, 105, 106],
+    280: [92, 101, 102, 103, 104, 105, 106, 107],
+    290: [92, 101, 102, 103, 104, 105, 106, 107, 108],
+    300: [92, 102, 103, 104, 105, 106, 107, 108, 109],
+    310: [92, 103, 104, 105, 106, 107, 108, 109, 110],
+    320: [92, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    330: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    340: [92, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    350: [92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    360: [92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    370: [92, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    380: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    390: [92, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    400: [92, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    410: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    420: [92, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    430: [92, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    440: [92, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    450: [92, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    460: [92, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    470: [92, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    480: [92, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191],
+    490: [188, 189, 190, 191]
+  },
+  80: {
+    0: [92, 93, 94, 95],
+    10: [92, 93, 94, 95],
+    20: [92, 93, 94, 95],
+    30: [92, 93, 94, 95],
+    40: [92, 93, 94, 95, 96],
+    50: [92, 94, 95, 96],
+    60: [92, 94, 95, 96],
+    70: [92, 94, 95, 96],
+    80: [92, 94, 95, 96],
+    90: [92, 94, 95, 96],
+    100: [92, 94, 95, 96, 97],
+    110: [91, 92, 94, 95, 96, 97],
+    120: [91, 92, 94, 95, 96, 97],
+    130: [91, 92, 95, 96, 97],
+    140: [91, 92, 95, 96, 97, 98],
+    150: [91, 95, 96, 97, 98],
+    160: [95, 96, 97, 98],
+    170: [91, 95, 96, 97, 98, 99],
+    180: [91, 95, 96, 97, 98, 99],
+    190: [91, 96, 97, 98, 99],
+    200: [91, 95, 96, 97, 98, 99, 100],
+    210: [91, 96, 97, 98, 99, 100],
+    220: [91, 96, 97, 98, 99, 100, 101],
+    230: [91, 96, 97, 98, 99, 100, 101],
+    240: [91, 97, 98, 99, 100, 101, 102],
+    250: [91, 97, 98, 99, 100, 101, 102],
+    260: [91, 97, 98, 99, 100, 101, 102, 103],
+    270: [91, 97, 98, 99, 100, 101, 102, 103, 104],
+    280: [91, 98, 99, 100, 101, 102, 103, 104],
+    290: [91, 98, 99, 100, 101, 102, 103, 104, 105],
+    300: [91, 99, 100, 101, 102, 103, 104, 105],
+    310: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    320: [91, 100, 101, 102, 103, 104, 105, 106, 107],
+    330: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    340: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    350: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    360: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    370: [91, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    380: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    390: [91, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    400: [91, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    410: [91, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    420: [91, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    430: [91, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    440: [91, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91]
+  },
+  90: {
+    0: [91, 92, 93, 94],
+    10: [91, 92, 93, 94],
+    20: [91, 92, 93, 94],
+    30: [91, 92, 93, 94],
+    40: [91, 92, 93, 94],
+    50: [91, 92, 93, 94, 95],
+    60: [91, 93, 94, 95],
+    70: [91, 93, 94, 95],
+    80: [91, 93, 94, 95],
+    90: [91, 93, 94, 95],
+    100: [91, 93, 94, 95],
+    110: [91, 93, 94, 95, 96],
+    120: [91, 93, 94, 95, 96],
+    130: [91, 93, 94, 95, 96],
+    140: [91, 93, 94, 95, 96],
+    150: [91, 93, 94, 95, 96, 97],
+    160: [91, 93, 94, 95, 96, 97],
+    170: [91, 93, 94, 95, 96, 97],
+    180: [91, 93, 94, 95, 96, 97],
+    190: [91, 94, 95, 96, 97],
+    200: [91, 94, 95, 96, 97, 98],
+    210: [91, 94, 95, 96, 97, 98],
+    220: [91, 94, 95, 96, 97, 98, 99],
+    230: [91, 94, 95, 96, 97, 98, 99],
+    240: [91, 94, 95, 96, 97, 98, 99],
+    250: [91, 94, 95, 96, 97, 98, 99, 100],
+    260: [91, 95, 96, 97, 98, 99, 100],
+    270: [91, 95, 96, 97, 98, 99, 100, 101],
+    280: [91, 96, 97, 98, 99, 100, 101],
+    290: [91, 95, 96, 97, 98, 99, 100, 101, 102],
+    300: [91, 97, 98, 99, 100, 101, 102],
+    310: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    320: [91, 98, 99, 100, 101, 102, 103, 104],
+    330: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    340: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    350: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    360: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    370: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    380: [91, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    390: [91, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    400: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    410: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    420: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    430: [91, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  100: {
+    0: [91, 92, 93],
+    10: [91, 92, 93],
+    20: [91, 92, 93],
+    30: [91, 92, 93],
+    40: [91, 92, 93],
+    50: [91, 92, 93],
+    60: [91, 92, 93],
+    70: [91, 92, 93, 94],
+    80: [91, 92, 93, 94],
+    90: [91, 92, 93, 94],
+    100: [91, 92, 93, 94],
+    110: [91, 92, 93, 94],
+    120: [91, 92, 93, 94],
+    130: [91, 92, 93, 94],
+    140: [91, 92, 93, 94, 95],
+    150: [91, 92, 93, 94, 95],
+    160: [91, 92, 93, 94, 95],
+    170: [91, 92, 93, 94, 95],
+    180: [91, 92, 93, 94, 95, 96],
+    190: [91, 92, 93, 94, 95],
+    200: [91, 92, 93, 94, 95, 96],
+    210: [91, 92, 93, 94, 95, 96],
+    220: [91, 92, 93, 94, 95, 96],
+    230: [91, 92, 93, 94, 95, 96, 97],
+    240: [91, 92, 93, 94, 95, 96, 97],
+    250: [91, 92, 93, 94, 95, 96, 97, 98],
+    260: [91, 93, 94, 95, 96, 97],
+    270: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    280: [91, 93, 94, 95, 96, 97, 98],
+    290: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    300: [91, 93, 94, 95, 96, 97, 98, 99],
+    310: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    320: [91, 94, 95, 96, 97, 98, 99, 100, 101],
+    330: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    340: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    350: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    360: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    370: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    380: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    390: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    400: [91, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    410: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    420: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    430: [91, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91]
+  },
+  110: {
+    0: [90, 91, 92],
+    10: [90, 91, 92],
+    20: [90, 91, 92],
+    30: [90, 91, 92],
+    40: [90, 91, 92],
+    50: [90, 91, 92],
+    60: [90, 91, 92],
+    70: [90, 91, 92],
+    80: [90, 91, 92, 93],
+    90: [90, 91, 92, 93],
+    100: [90, 91, 92, 93],
+    110: [90, 91, 92, 93],
+    120: [90, 91, 92, 93],
+    130: [90, 91, 92, 93],
+    140: [90, 91, 92, 93],
+    150: [90, 91, 92, 93],
+    160: [90, 91, 92, 93],
+    170: [90, 91, 92, 93],
+    180: [90, 91, 92, 93, 94],
+    190: [90, 91, 92, 93],
+    200: [90, 91, 92, 93, 94],
+    210: [90, 91, 92, 93, 94],
+    220: [90, 91, 92, 93, 94],
+    230: [90, 91, 92, 93, 94, 95],
+    240: [90, 91, 92, 93, 94, 95],
+    250: [90, 91, 92, 93, 94, 95],
+    260: [90, 91, 92, 93, 94, 95],
+    270: [89, 90, 91, 92, 93, 94, 95, 96],
+    280: [90, 91, 92, 93, 94, 95],
+    290: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    300: [90, 91, 92, 93, 94, 95, 96],
+    310: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    320: [90, 91, 92, 93, 94, 95, 96, 97],
+    330: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    340: [90, 91, 92, 93, 94, 95, 96, 97, 98],
+    350: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    360: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    370: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    380: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    390: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    400: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    410: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    420: [89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    430: [90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90]
+  },
+  120: {
+    0: [89, 90, 91],
+    10: [89, 90, 91],
+    20: [89, 90, 91],
+    30: [89, 90, 91],
+    40: [89, 90, 91],
+    50: [89, 90, 91],
+    60: [89, 90, 91],
+    70: [89, 90, 91],
+    80: [89, 90, 91],
+    90: [89, 90, 91],
+    100: [89, 90, 91],
+    110: [89, 90, 91],
+    120: [88, 89, 90, 91, 92],
+    130: [89, 90, 91],
+    140: [89, 90, 91],
+    150: [88, 89, 90, 91, 92],
+    160: [88, 89, 90, 91, 92],
+    170: [88, 89, 90, 91, 92],
+    180: [88, 89, 90, 91, 92],
+    190: [88, 89, 90, 91, 92],
+    200: [88, 89, 90, 91, 92],
+    210: [88, 89, 90, 91, 92],
+    220: [88, 89, 90, 91, 92],
+    230: [87, 88, 89, 90, 91, 92, 93],
+    240: [88, 89, 90, 91, 92],
+    250: [87, 88, 89, 90, 91, 92, 93],
+    260: [88, 89, 90, 91, 92],
+    270: [87, 88, 89, 90, 91, 92, 93],
+    280: [87, 88, 89, 90, 91, 92, 93],
+    290: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    300: [87, 88, 89, 90, 91, 92, 93],
+    310: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    320: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    330: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    340: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    350: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    360: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    370: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    380: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    390: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    400: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    410: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    420: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    430: [90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90],
+    490: [90]
+  },
+  130: {
+    0: [88, 89, 90],
+    10: [88, 89, 90],
+    20: [88, 89, 90],
+    30: [88, 89, 90],
+    40: [88, 89, 90],
+    50: [88, 89, 90],
+    60: [88, 89, 90],
+    70: [88, 89, 90],
+    80: [87, 88, 89, 90],
+    90: [87, 88, 89, 90],
+    100: [87, 88, 89, 90],
+    110: [87, 88, 89, 90],
+    120: [87, 88, 89, 90],
+    130: [87, 88, 89, 90],
+    140: [87, 88, 89, 90],
+    150: [87, 88, 89, 90],
+    160: [87, 88, 89, 90],
+    170: [87, 88, 89, 90],
+    180: [86, 87, 88, 89, 90],
+    190: [87, 88, 89, 90],
+    200: [86, 87, 88, 89, 90],
+    210: [86, 87, 88, 89, 90],
+    220: [86, 87, 88, 89, 90],
+    230: [85, 86, 87, 88, 89, 90],
+    240: [85, 86, 87, 88, 89, 90],
+    250: [85, 86, 87, 88, 89, 90],
+    260: [85, 86, 87, 88, 89, 90],
+    270: [84, 85, 86, 87, 88, 89, 90, 91],
+    280: [85, 86, 87, 88, 89, 90],
+    290: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    300: [84, 85, 86, 87, 88, 89, 90],
+    310: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    320: [83, 84, 85, 86, 87, 88, 89, 90],
+    330: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    340: [82, 83, 84, 85, 86, 87, 88, 89, 90],
+    350: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    360: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
+    370: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    380: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
+    390: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    400: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
+    410: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    420: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91],
+    430: [90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90]
+  },
+  140: {
+    0: [87, 88, 89],
+    10: [87, 88, 89],
+    20: [87, 88, 89],
+    30: [87, 88, 89],
+    40: [87, 88, 89],
+    50: [87, 88, 89],
+    60: [87, 88, 89],
+    70: [86, 87, 88, 89],
+    80: [86, 87, 88, 89],
+    90: [86, 87, 88, 89],
+    100: [86, 87, 88, 89],
+    110: [86, 87, 88, 89],
+    120: [86, 87, 88, 89],
+    130: [86, 87, 88, 89],
+    140: [85, 86, 87, 88, 89],
+    150: [85, 86, 87, 88, 89],
+    160: [85, 86, 87, 88, 89],
+    170: [85, 86, 87, 88, 89],
+    180: [84, 85, 86, 87, 88, 89],
+    190: [85, 86, 87, 88, 89],
+    200: [84, 85, 86, 87, 88, 89],
+    210: [84, 85, 86, 87, 88, 89],
+    220: [84, 85, 86, 87, 88, 89],
+    230: [83, 84, 85, 86, 87, 88, 89],
+    240: [83, 84, 85, 86, 87, 88, 89],
+    250: [82, 83, 84, 85, 86, 87, 88, 89],
+    260: [83, 84, 85, 86, 87, 89],
+    270: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    280: [82, 83, 84, 85, 86, 87, 89],
+    290: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    300: [81, 82, 83, 84, 85, 86, 87, 89],
+    310: [79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    320: [79, 80, 81, 82, 83, 84, 85, 86, 89],
+    330: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    340: [78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    350: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    360: [76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    370: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    380: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    390: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    400: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    410: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    420: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    430: [62, 63, 64, 65, 66, 67, 68, 69, 70, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89]
+  },
+  150: {
+    0: [86, 87, 88, 89],
+    10: [86, 87, 88, 89],
+    20: [86, 87, 88, 89],
+    30: [86, 87, 88, 89],
+    40: [86, 87, 88, 89],
+    50: [85, 86, 87, 88, 89],
+    60: [85, 86, 87, 89],
+    70: [85, 86, 87, 89],
+    80: [85, 86, 87, 89],
+    90: [85, 86, 87, 89],
+    100: [85, 86, 87, 89],
+    110: [84, 85, 86, 87, 89],
+    120: [84, 85, 86, 87, 89],
+    130: [84, 85, 86, 87, 89],
+    140: [84, 85, 86, 87, 89],
+    150: [83, 84, 85, 86, 87, 89],
+    160: [83, 84, 85, 86, 87, 89],
+    170: [83, 84, 85, 86, 87, 89],
+    180: [83, 84, 85, 86, 87, 89],
+    190: [83, 84, 85, 86, 89],
+    200: [82, 83, 84, 85, 86, 89],
+    210: [82, 83, 84, 85, 86, 89],
+    220: [81, 82, 83, 84, 85, 86, 89],
+    230: [81, 82, 83, 84, 85, 86, 89],
+    240: [81, 82, 83, 84, 85, 86, 89],
+    250: [80, 81, 82, 83, 84, 85, 86, 89],
+    260: [80, 81, 82, 83, 84, 85, 89],
+    270: [79, 80, 81, 82, 83, 84, 85, 89],
+    280: [79, 80, 81, 82, 83, 84, 89],
+    290: [78, 79, 80, 81, 82, 83, 84, 85, 89],
+    300: [78, 79, 80, 81, 82, 83, 89],
+    310: [76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    320: [76, 77, 78, 79, 80, 81, 82, 89],
+    330: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 89],
+    340: [74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    350: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    360: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    370: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    380: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 89],
+    390: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 89],
+    400: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    410: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    420: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    430: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  160: {
+    0: [85, 86, 87, 88],
+    10: [85, 86, 87, 88],
+    20: [85, 86, 87, 88],
+    30: [85, 86, 87, 88],
+    40: [84, 85, 86, 87, 88],
+    50: [84, 85, 86, 88],
+    60: [84, 85, 86, 88],
+    70: [84, 85, 86, 88],
+    80: [84, 85, 86, 88],
+    90: [84, 85, 86, 88],
+    100: [83, 84, 85, 86, 88],
+    110: [83, 84, 85, 86, 88, 89],
+    120: [83, 84, 85, 86, 88, 89],
+    130: [83, 84, 85, 88, 89],
+    140: [82, 83, 84, 85, 88, 89],
+    150: [82, 83, 84, 85, 89],
+    160: [82, 83, 84, 85],
+    170: [81, 82, 83, 84, 85, 89],
+    180: [81, 82, 83, 84, 85, 89],
+    190: [81, 82, 83, 84, 89],
+    200: [80, 81, 82, 83, 84, 85, 89],
+    210: [80, 81, 82, 83, 84, 89],
+    220: [79, 80, 81, 82, 83, 84, 89],
+    230: [79, 80, 81, 82, 83, 84, 89],
+    240: [78, 79, 80, 81, 82, 83, 89],
+    250: [78, 79, 80, 81, 82, 83, 89],
+    260: [77, 78, 79, 80, 81, 82, 83, 89],
+    270: [76, 77, 78, 79, 80, 81, 82, 83, 89],
+    280: [76, 77, 78, 79, 80, 81, 82, 89],
+    290: [75, 76, 77, 78, 79, 80, 81, 82, 89],
+    300: [75, 76, 77, 78, 79, 80, 81, 89],
+    310: [73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    320: [73, 74, 75, 76, 77, 78, 79, 80, 89],
+    330: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    340: [70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    350: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    360: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    370: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 89],
+    380: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    390: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 89],
+    400: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 89],
+    410: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 89],
+    420: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 89],
+    430: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 89],
+    440: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89]
+  },
+  170: {
+    0: [84, 85, 86, 88],
+    10: [84, 85, 86, 88],
+    20: [84, 85, 86, 88],
+    30: [84, 85, 86, 88],
+    40: [83, 84, 85, 88],
+    50: [83, 84, 85, 88],
+    60: [83, 84, 85, 88],
+    70: [83, 84, 85, 88],
+    80: [82, 83, 84, 85, 88],
+    90: [82, 83, 84, 85, 88],
+    100: [82, 83, 84, 85, 88],
+    110: [82, 83, 84, 85, 88],
+    120: [81, 82, 83, 84, 88],
+    130: [81, 82, 83, 84, 88],
+    140: [81, 82, 83, 84, 88],
+    150: [80, 81, 82, 83, 84, 88],
+    160: [80, 81, 82, 83, 88],
+    170: [80, 81, 82, 83, 88],
+    180: [79, 80, 81, 82, 83, 88],
+    190: [79, 80, 81, 82, 83, 88],
+    200: [78, 79, 80, 81, 82, 83, 88],
+    210: [78, 79, 80, 81, 82, 88],
+    220: [77, 78, 79, 80, 81, 82, 88],
+    230: [77, 78, 79, 80, 81, 88],
+    240: [76, 77, 78, 79, 80, 81, 88],
+    250: [76, 77, 78, 79, 80, 81, 88],
+    260: [75, 76, 77, 78, 79, 80, 88],
+    270: [74, 75, 76, 77, 78, 79, 80, 88],
+    280: [73, 74, 75, 76, 77, 78, 79, 88],
+    290: [72, 73, 74, 75, 76, 77, 78, 79, 88],
+    300: [71, 72, 73, 74, 75, 76, 77, 78, 88],
+    310: [70, 71, 72, 73, 74, 75, 76, 77, 88],
+    320: [69, 70, 71, 72, 73, 74, 75, 76, 77, 88],
+    330: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    340: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 88],
+    350: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88],
+    360: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88],
+    370: [61, 62, 63, 64, 65, 66, 67, 68, 69, 88],
+    380: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    390: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 88],
+    400: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    410: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    420: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 88],
+    430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 88],
+    440: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 88],
+    450: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 88],
+    460: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 88],
+    480: [0, 88, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [349, 350, 351, 352]
+  },
+  180: {
+    0: [83, 84, 85, 87, 88],
+    10: [83, 84, 85, 88],
+    20: [83, 84, 85, 88],
+    30: [83, 84, 85, 88],
+    40: [82, 83, 84, 88],
+    50: [82, 83, 84, 88],
+    60: [82, 83, 84, 88],
+    70: [82, 83, 84, 88],
+    80: [81, 82, 83, 84, 88],
+    90: [81, 82, 83, 88],
+    100: [81, 82, 83, 88],
+    110: [80, 81, 82, 83, 88],
+    120: [80, 81, 82, 83, 88],
+    130: [80, 81, 82, 83, 88],
+    140: [79, 80, 81, 82, 88],
+    150: [79, 80, 81, 82, 88],
+    160: [79, 80, 81, 82, 88],
+    170: [78, 79, 80, 81, 82, 88],
+    180: [78, 79, 80, 81, 88],
+    190: [77, 78, 79, 80, 81, 88],
+    200: [77, 78, 79, 80, 81, 88],
+    210: [76, 77, 78, 79, 80, 88],
+    220: [75, 76, 77, 78, 79, 80, 88],
+    230: [75, 76, 77, 78, 79, 88],
+    240: [74, 75, 76, 77, 78, 79, 88],
+    250: [74, 75, 76, 77, 78, 88],
+    260: [72, 73, 74, 75, 76, 77, 78, 88],
+    270: [72, 73, 74, 75, 76, 77, 88],
+    280: [71, 72, 73, 74, 75, 76, 77, 88],
+    290: [70, 71, 72, 73, 74, 75, 76, 88],
+    300: [68, 69, 70, 71, 72, 73, 74, 75, 88],
+    310: [67, 68, 69, 70, 71, 72, 73, 74, 88],
+    320: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    330: [65, 66, 67, 68, 69, 70, 71, 88],
+    340: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 88],
+    350: [61, 62, 63, 64, 65, 66, 67, 68, 69, 88],
+    360: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 88],
+    370: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 88],
+    380: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    390: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    400: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 88],
+    410: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 88],
+    420: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 88],
+    430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 88],
+    440: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 88],
+    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 88],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 88, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 88, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [88, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [349, 350]
+  },
+  190: {
+    0: [82, 83, 84, 87],
+    10: [82, 83, 84, 87],
+    20: [82, 83, 84, 87],
+    30: [81, 82, 83, 87],
+    40: [81, 82, 83, 87],
+    50: [81, 82, 83, 87],
+    60: [81, 82, 83, 87],
+    70: [80, 81, 82, 83, 87],
+    80: [80, 81, 82, 87],
+    90: [80, 81, 82, 87],
+    100: [79, 80, 81, 82, 87],
+    110: [79, 80, 81, 82, 87],
+    120: [79, 80, 81, 87],
+    130: [78, 79, 80, 81, 87],
+    140: [78, 79, 80, 81, 87],
+    150: [78, 79, 80, 87],
+    160: [77, 78, 79, 80, 87],
+    170: [76, 77, 78, 79, 80, 87],
+    180: [76, 77, 78, 79, 87],
+    190: [75, 76, 77, 78, 79, 87],
+    200: [75, 76, 77, 78, 79, 87],
+    210: [74, 75, 76, 77, 78, 87],
+    220: [73, 74, 75, 76, 77, 78, 87],
+    230: [73, 74, 75, 76, 77, 87],
+    240: [72, 73, 74, 75, 76, 77, 87],
+    250: [72, 73, 74, 75, 76, 87],
+    260: [70, 71, 72, 73, 74, 75, 76],
+    270: [70, 71, 72, 73, 74, 75],
+    280: [68, 69, 70, 71, 72, 73, 74],
+    290: [68, 69, 70, 71, 72, 73, 88],
+    300: [65, 66, 67, 68, 69, 70, 71, 72, 73],
+    310: [65, 66, 67, 68, 69, 70, 71],
+    320: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 88],
+    330: [62, 63, 64, 65, 66, 67, 68, 69, 88],
+    340: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    350: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 88],
+    360: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 88],
+    370: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 88],
+    380: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 88],
+    390: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 88],
+    400: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 88],
+    410: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 88],
+    420: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 88],
+    430: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 88],
+    440: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 88],
+    450: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 88],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 88, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 88, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [349, 350, 351, 352, 353, 354, 355, 356, 357]
+  },
+  200: {
+    0: [81, 82, 83, 87],
+    10: [81, 82, 83, 87],
+    20: [81, 82, 83, 87],
+    30: [80, 81, 82, 87],
+    40: [80, 81, 82, 87],
+    50: [80, 81, 82, 87],
+    60: [79, 80, 81, 82, 87],
+    70: [79, 80, 81, 87],
+    80: [79, 80, 81, 87],
+    90: [79, 80, 81, 87],
+    100: [78, 79, 80, 81, 87],
+    110: [78, 79, 80, 87],
+    120: [77, 78, 79, 80, 87],
+    130: [77, 78, 79, 80, 87],
+    140: [76, 77, 78, 79, 87],
+    150: [76, 77, 78, 79, 87],
+    160: [75, 76, 77, 78, 79, 87],
+    170: [75, 76, 77, 78, 87],
+    180: [74, 75, 76, 77, 78, 87],
+    190: [74, 75, 76, 77, 78, 87],
+    200: [73, 74, 75, 76, 77, 87],
+    210: [72, 73, 74, 75, 76, 77, 87],
+    220: [72, 73, 74, 75, 76, 87],
+    230: [71, 72, 73, 74, 75, 87],
+    240: [70, 71, 72, 73, 74, 75, 87],
+    250: [69, 70, 71, 72, 73, 74, 87],
+    260: [68, 69, 70, 71, 72, 73, 87],
+    270: [67, 68, 69, 70, 71, 72, 73, 87],
+    280: [66, 67, 68, 69, 70, 71, 72, 87],
+    290: [65, 66, 67, 68, 69, 70, 71, 87],
+    300: [63, 64, 65, 66, 67, 68, 69, 70, 87],
+    310: [62, 63, 64, 65, 66, 67, 68, 69, 87],
+    320: [60, 61, 62, 63, 64, 65, 66, 67, 87],
+    330: [58, 59, 60, 61, 62, 63, 64, 65, 66, 87],
+    340: [57, 58, 59, 60, 61, 62, 63, 64, 87],
+    350: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 87],
+    360: [52, 53, 54, 55, 56, 57, 58, 59, 60, 87],
+    370: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
+    380: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 87],
+    390: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 87],
+    400: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 87],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 87],
+    420: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 87],
+    430: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 87],
+    440: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 87],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 87],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 87, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 87, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [352, 353, 354, 355, 356, 357, 358, 359],
+    500: [352]
+  },
+  210: {
+    0: [80, 81, 82, 86],
+    10: [80, 81, 82, 86],
+    20: [80, 81, 86],
+    30: [79, 80, 81, 86],
+    40: [79, 80, 81, 86],
+    50: [79, 80, 81, 86],
+    60: [78, 79, 80, 81, 86, 87],
+    70: [78, 79, 80, 86, 87],
+    80: [78, 79, 80, 86, 87],
+    90: [77, 78, 79, 80, 86, 87],
+    100: [77, 78, 79, 87],
+    110: [76, 77, 78, 79, 87],
+    120: [76, 77, 78, 79, 87],
+    130: [75, 76, 77, 78, 87],
+    140: [75, 76, 77, 78, 87],
+    150: [75, 76, 77, 78, 87],
+    160: [74, 75, 76, 77, 87],
+    170: [73, 74, 75, 76, 87],
+    180: [73, 74, 75, 76, 87],
+    190: [72, 73, 74, 75, 76, 87],
+    200: [71, 72, 73, 74, 75, 87],
+    210: [70, 71, 72, 73, 74, 75, 87],
+    220: [70, 71, 72, 73, 74, 87],
+    230: [69, 70, 71, 72, 73, 74, 87],
+    240: [68, 69, 70, 71, 72, 87],
+    250: [67, 68, 69, 70, 71, 72, 87],
+    260: [66, 67, 68, 69, 70, 71, 87],
+    270: [65, 66, 67, 68, 69, 70, 87],
+    280: [64, 65, 66, 67, 68, 69, 87],
+    290: [62, 63, 64, 65, 66, 67, 68, 87],
+    300: [61, 62, 63, 64, 65, 66, 87],
+    310: [59, 60, 61, 62, 63, 64, 65, 66, 87],
+    320: [58, 59, 60, 61, 62, 63, 64, 87],
+    330: [55, 56, 57, 58, 59, 60, 61, 62, 63, 87],
+    340: [54, 55, 56, 57, 58, 59, 60, 61, 87],
+    350: [51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
+    360: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 87],
+    370: [47, 48, 49, 50, 51, 52, 53, 54, 87],
+    380: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 87],
+    390: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 87],
+    400: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 87],
+    410: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 87],
+    420: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 87],
+    430: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 87],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 87],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 87],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 87, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 87, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [87, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [352]
+  },
+  220: {
+    0: [79, 80, 81, 86],
+    10: [79, 80, 81, 86],
+    20: [79, 80, 81, 86],
+    30: [78, 79, 80, 86],
+    40: [78, 79, 80, 86],
+    50: [78, 79, 80, 86],
+    60: [77, 78, 79, 86],
+    70: [77, 78, 79, 86],
+    80: [77, 78, 79, 86],
+    90: [76, 77, 78, 79, 86],
+    100: [76, 77, 78, 86],
+    110: [75, 76, 77, 78, 86],
+    120: [75, 76, 77, 86],
+    130: [74, 75, 76, 77, 86],
+    140: [74, 75, 76, 86],
+    150: [73, 74, 75, 76, 86],
+    160: [72, 73, 74, 75, 76, 86],
+    170: [72, 73, 74, 75, 86],
+    180: [71, 72, 73, 74, 75, 86],
+    190: [71, 72, 73, 74, 86],
+    200: [70, 71, 72, 73, 74, 86],
+    210: [69, 70, 71, 72, 73, 86],
+    220: [68, 69, 70, 71, 72, 86],
+    230: [67, 68, 69, 70, 71, 86],
+    240: [66, 67, 68, 69, 70, 71, 86],
+    250: [65, 66, 67, 68, 69, 70, 86],
+    260: [64, 65, 66, 67, 68, 69, 86],
+    270: [63, 64, 65, 66, 67, 68, 86],
+    280: [62, 63, 64, 65, 66, 67, 86],
+    290: [60, 61, 62, 63, 64, 65, 66, 86],
+    300: [59, 60, 61, 62, 63, 64, 65, 86],
+    310: [57, 58, 59, 60, 61, 62, 63, 86],
+    320: [55, 56, 57, 58, 59, 60, 61, 62, 86],
+    330: [53, 54, 55, 56, 57, 58, 59, 60],
+    340: [51, 52, 53, 54, 55, 56, 57, 58, 59],
+    350: [49, 50, 51, 52, 53, 54, 55, 56],
+    360: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 87],
+    370: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    380: [41, 42, 43, 44, 45, 46, 47, 48],
+    390: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 87],
+    400: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 87],
+    410: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 87],
+    420: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 87],
+    430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 87],
+    440: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 87],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 87],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 87, 358, 359],
+    480: [0, 1, 2, 3, 4, 87, 355, 356, 357, 358, 359],
+    490: [355, 356, 357, 358, 359]
+  },
+  230: {
+    0: [78, 79, 80, 85, 86],
+    10: [78, 79, 80, 85, 86],
+    20: [78, 79, 80, 85, 86],
+    30: [77, 78, 79, 86],
+    40: [77, 78, 79, 86],
+    50: [77, 78, 79, 86],
+    60: [76, 77, 78, 86],
+    70: [76, 77, 78, 86],
+    80: [75, 76, 77, 78, 86],
+    90: [75, 76, 77, 86],
+    100: [74, 75, 76, 77, 86],
+    110: [74, 75, 76, 77, 86],
+    120: [73, 74, 75, 76, 86],
+    130: [73, 74, 75, 76, 86],
+    140: [72, 73, 74, 75, 86],
+    150: [72, 73, 74, 75, 86],
+    160: [71, 72, 73, 74, 86],
+    170: [70, 71, 72, 73, 74, 86],
+    180: [70, 71, 72, 73, 86],
+    190: [69, 70, 71, 72, 86],
+    200: [68, 69, 70, 71, 72, 86],
+    210: [67, 68, 69, 70, 71, 86],
+    220: [66, 67, 68, 69, 70, 71, 86],
+    230: [65, 66, 67, 68, 69, 86],
+    240: [64, 65, 66, 67, 68, 69, 86],
+    250: [63, 64, 65, 66, 67, 68, 86],
+    260: [62, 63, 64, 65, 66, 67, 86],
+    270: [61, 62, 63, 64, 65, 66, 86],
+    280: [59, 60, 61, 62, 63, 64, 65, 86],
+    290: [58, 59, 60, 61, 62, 63, 86],
+    300: [56, 57, 58, 59, 60, 61, 62, 63, 86],
+    310: [55, 56, 57, 58, 59, 60, 86],
+    320: [52, 53, 54, 55, 56, 57, 58, 59, 60, 86],
+    330: [51, 52, 53, 54, 55, 56, 57, 58, 86],
+    340: [48, 49, 50, 51, 52, 53, 54, 55, 56, 86],
+    350: [46, 47, 48, 49, 50, 51, 52, 53, 54, 86],
+    360: [45, 46, 47, 48, 49, 50, 51, 86],
+    370: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 86],
+    380: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 86],
+    390: [36, 37, 38, 39, 40, 41, 42, 86],
+    400: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 86],
+    410: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 86],
+    420: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 86],
+    430: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 86],
+    440: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 86],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 86],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 86, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 86, 355, 356, 357, 358, 359],
+    490: [0, 86, 355, 356, 357, 358, 359]
+  },
+  240: {
+    0: [78, 79, 85],
+    10: [77, 78, 79, 85],
+    20: [77, 78, 79, 85],
+    30: [76, 77, 78, 85],
+    40: [76, 77, 78, 85],
+    50: [76, 77, 85],
+    60: [75, 76, 77, 85],
+    70: [75, 76, 77, 85],
+    80: [74, 75, 76, 77, 85],
+    90: [74, 75, 76, 85],
+    100: [73, 74, 75, 76, 85],
+    110: [73, 74, 75, 85],
+    120: [72, 73, 74, 75, 85],
+    130: [72, 73, 74, 85],
+    140: [71, 72, 73, 74, 85],
+    150: [70, 71, 72, 73, 85],
+    160: [70, 71, 72, 73, 85, 86],
+    170: [69, 70, 71, 72, 86],
+    180: [68, 69, 70, 71, 86],
+    190: [67, 68, 69, 70, 71, 86],
+    200: [66, 67, 68, 69, 70, 86],
+    210: [66, 67, 68, 69, 86],
+    220: [64, 65, 66, 67, 68, 69, 86],
+    230: [64, 65, 66, 67, 68, 86],
+    240: [62, 63, 64, 65, 66, 67, 86],
+    250: [62, 63, 64, 65, 66, 86],
+    260: [60, 61, 62, 63, 64, 65, 86],
+    270: [59, 60, 61, 62, 63, 64, 86],
+    280: [57, 58, 59, 60, 61, 62, 63, 86],
+    290: [56, 57, 58, 59, 60, 61, 86],
+    300: [54, 55, 56, 57, 58, 59, 60, 86],
+    310: [52, 53, 54, 55, 56, 57, 58, 59, 86],
+    320: [51, 52, 53, 54, 55, 56, 57, 86],
+    330: [48, 49, 50, 51, 52, 53, 54, 55, 56, 86],
+    340: [47, 48, 49, 50, 51, 52, 53, 86],
+    350: [44, 45, 46, 47, 48, 49, 50, 51, 86],
+    360: [41, 42, 43, 44, 45, 46, 47, 48, 49, 86],
+    370: [40, 41, 42, 43, 44, 45, 46, 86],
+    380: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 86],
+    390: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 86],
+    400: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 86],
+    410: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 86],
+    420: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 86],
+    430: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 86],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 86],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 86],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 86],
+    480: [0, 1, 2, 3, 86, 356, 357, 358, 359],
+    490: [86, 355, 356, 357, 358, 359]
+  },
+  250: {
+    0: [77, 78, 85],
+    10: [76, 77, 78, 85],
+    20: [76, 77, 78, 85],
+    30: [75, 76, 77, 85],
+    40: [75, 76, 77, 85],
+    50: [75, 76, 77, 85],
+    60: [74, 75, 76, 85],
+    70: [74, 75, 76, 85],
+    80: [73, 74, 75, 85],
+    90: [73, 74, 75, 85],
+    100: [72, 73, 74, 75, 85],
+    110: [71, 72, 73, 74, 85],
+    120: [71, 72, 73, 85],
+    130: [70, 71, 72, 73, 85],
+    140: [70, 71, 72, 73, 85],
+    150: [69, 70, 71, 72, 85],
+    160: [68, 69, 70, 71, 85],
+    170: [67, 68, 69, 70, 71, 85],
+    180: [67, 68, 69, 70, 85],
+    190: [66, 67, 68, 69, 85],
+    200: [65, 66, 67, 68, 85],
+    210: [64, 65, 66, 67, 68, 85],
+    220: [63, 64, 65, 66, 67, 85],
+    230: [62, 63, 64, 65, 66, 85],
+    240: [61, 62, 63, 64, 65, 85],
+    250: [60, 61, 62, 63, 64, 85],
+    260: [58, 59, 60, 61, 62, 63, 85],
+    270: [57, 58, 59, 60, 61, 62, 85],
+    280: [56, 57, 58, 59, 60, 85],
+    290: [54, 55, 56, 57, 58, 59, 60, 85],
+    300: [53, 54, 55, 56, 57, 58, 85],
+    310: [50, 51, 52, 53, 54, 55, 56, 57, 85],
+    320: [49, 50, 51, 52, 53, 54, 55, 85],
+    330: [47, 48, 49, 50, 51, 52, 53, 85],
+    340: [44, 45, 46, 47, 48, 49, 50, 51, 85],
+    350: [43, 44, 45, 46, 47, 48, 85],
+    360: [39, 40, 41, 42, 43, 44, 45, 46, 47],
+    370: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    380: [35, 36, 37, 38, 39, 40, 41],
+    390: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39],
+    400: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36],
+    410: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33],
+    420: [21, 22, 23, 24, 25, 26, 27, 28, 86],
+    430: [16, 17, 18, 19, 20, 21, 22, 23, 24, 86],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 86],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 86],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 86, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 86, 356, 357, 358, 359],
+    490: [0, 356, 357, 358, 359],
+    500: [356]
+  },
+  260: {
+    0: [76, 77, 84],
+    10: [75, 76, 77, 84],
+    20: [75, 76, 77, 84],
+    30: [74, 75, 76, 84],
+    40: [74, 75, 76, 84],
+    50: [74, 75, 76, 84],
+    60: [73, 74, 75, 84, 85],
+    70: [72, 73, 74, 75, 84, 85],
+    80: [72, 73, 74, 84, 85],
+    90: [72, 73, 74, 85],
+    100: [71, 72, 73, 85],
+    110: [70, 71, 72, 73, 85],
+    120: [70, 71, 72, 85],
+    130: [69, 70, 71, 72, 85],
+    140: [68, 69, 70, 71, 85],
+    150: [68, 69, 70, 71, 85],
+    160: [67, 68, 69, 70, 85],
+    170: [66, 67, 68, 69, 85],
+    180: [65, 66, 67, 68, 69, 85],
+    190: [64, 65, 66, 67, 68, 85],
+    200: [64, 65, 66, 67, 85],
+    210: [62, 63, 64, 65, 66, 85],
+    220: [62, 63, 64, 65, 85],
+    230: [60, 61, 62, 63, 64, 85],
+    240: [59, 60, 61, 62, 63, 85],
+    250: [58, 59, 60, 61, 62, 85],
+    260: [57, 58, 59, 60, 61, 85],
+    270: [55, 56, 57, 58, 59, 60, 85],
+    280: [54, 55, 56, 57, 58, 59, 85],
+    290: [52, 53, 54, 55, 56, 57, 85],
+    300: [50, 51, 52, 53, 54, 55, 56, 85],
+    310: [49, 50, 51, 52, 53, 54, 85],
+    320: [47, 48, 49, 50, 51, 52, 53, 85],
+    330: [45, 46, 47, 48, 49, 50, 51, 85],
+    340: [42, 43, 44, 45, 46, 47, 48, 49, 85],
+    350: [40, 41, 42, 43, 44, 45, 46, 47, 85],
+    360: [38, 39, 40, 41, 42, 43, 44, 85],
+    370: [35, 36, 37, 38, 39, 40, 41, 42, 85],
+    380: [32, 33, 34, 35, 36, 37, 38, 39, 40, 85],
+    390: [29, 30, 31, 32, 33, 34, 35, 36, 37, 85],
+    400: [26, 27, 28, 29, 30, 31, 32, 33, 85],
+    410: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 85],
+    420: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 85],
+    430: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 85],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 85],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 85],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 85],
+    480: [0, 1, 2, 3, 85, 356, 357, 358, 359],
+    490: [85, 356, 357, 358]
+  },
+  270: {
+    0: [75, 76, 84],
+    10: [74, 75, 76, 84],
+    20: [74, 75, 76, 84],
+    30: [74, 75, 84],
+    40: [73, 74, 75, 84],
+    50: [73, 74, 75, 84],
+    60: [72, 73, 74, 84],
+    70: [71, 72, 73, 74, 84],
+    80: [71, 72, 73, 84],
+    90: [70, 71, 72, 73, 84],
+    100: [70, 71, 72, 84],
+    110: [69, 70, 71, 72, 84],
+    120: [68, 69, 70, 71, 84],
+    130: [68, 69, 70, 84],
+    140: [67, 68, 69, 70, 84],
+    150: [66, 67, 68, 69, 84],
+    160: [66, 67, 68, 84],
+    170: [65, 66, 67, 68, 84],
+    180: [64, 65, 66, 67, 84],
+    190: [63, 64, 65, 66, 84],
+    200: [62, 63, 64, 65, 66, 84],
+    210: [61, 62, 63, 64, 84],
+    220: [60, 61, 62, 63, 64, 85],
+    230: [59, 60, 61, 62, 85],
+    240: [58, 59, 60, 61, 62, 85],
+    250: [57, 58, 59, 60, 85],
+    260: [55, 56, 57, 58, 59, 60, 85],
+    270: [54, 55, 56, 57, 58, 85],
+    280: [52, 53, 54, 55, 56, 57, 85],
+    290: [51, 52, 53, 54, 55, 85],
+    300: [49, 50, 51, 52, 53, 54, 85],
+    310: [47, 48, 49, 50, 51, 52, 53, 85],
+    320: [45, 46, 47, 48, 49, 50, 85],
+    330: [43, 44, 45, 46, 47, 48, 49, 85],
+    340: [41, 42, 43, 44, 45, 46, 47, 85],
+    350: [38, 39, 40, 41, 42, 43, 44, 45, 85],
+    360: [36, 37, 38, 39, 40, 41, 42, 43, 85],
+    370: [34, 35, 36, 37, 38, 39, 40, 85],
+    380: [31, 32, 33, 34, 35, 36, 37, 85],
+    390: [27, 28, 29, 30, 31, 32, 33, 34, 35, 85],
+    400: [24, 25, 26, 27, 28, 29, 30, 31, 32, 85],
+    410: [22, 23, 24, 25, 26, 27, 28, 29, 85],
+    420: [18, 19, 20, 21, 22, 23, 24, 25, 85],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 85],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 85],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 85],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 85, 359],
+    480: [0, 1, 2, 3, 4, 5, 85, 357, 358, 359],
+    490: [0, 1, 85, 357, 358, 359],
+    500: [357]
+  },
+  280: {
+    0: [74, 75, 76, 83],
+    10: [74, 75, 83, 84],
+    20: [73, 74, 75, 83, 84],
+    30: [73, 74, 83, 84],
+    40: [72, 73, 74, 84],
+    50: [72, 73, 84],
+    60: [71, 72, 73, 84],
+    70: [71, 72, 73, 84],
+    80: [70, 71, 72, 84],
+    90: [69, 70, 71, 72, 84],
+    100: [69, 70, 71, 84],
+    110: [68, 69, 70, 71, 84],
+    120: [67, 68, 69, 70, 84],
+    130: [67, 68, 69, 84],
+    140: [66, 67, 68, 69, 84],
+    150: [65, 66, 67, 68, 84],
+    160: [65, 66, 67, 84],
+    170: [63, 64, 65, 66, 67, 84],
+    180: [63, 64, 65, 66, 84],
+    190: [62, 63, 64, 65, 84],
+    200: [61, 62, 63, 64, 84],
+    210: [60, 61, 62, 63, 84],
+    220: [58, 59, 60, 61, 62, 84],
+    230: [58, 59, 60, 61, 84],
+    240: [56, 57, 58, 59, 60, 84],
+    250: [55, 56, 57, 58, 59, 84],
+    260: [53, 54, 55, 56, 57, 58, 84],
+    270: [52, 53, 54, 55, 56, 57, 84],
+    280: [51, 52, 53, 54, 55, 84],
+    290: [49, 50, 51, 52, 53, 54, 84],
+    300: [48, 49, 50, 51, 52, 84],
+    310: [45, 46, 47, 48, 49, 50, 51, 84],
+    320: [44, 45, 46, 47, 48, 49, 84],
+    330: [42, 43, 44, 45, 46, 47, 84],
+    340: [39, 40, 41, 42, 43, 44, 45, 84],
+    350: [37, 38, 39, 40, 41, 42, 43, 84],
+    360: [35, 36, 37, 38, 39, 40, 41, 84],
+    370: [32, 33, 34, 35, 36, 37, 38, 39, 84],
+    380: [29, 30, 31, 32, 33, 34, 35, 36, 84],
+    390: [27, 28, 29, 30, 31, 32, 33],
+    400: [23, 24, 25, 26, 27, 28, 29, 30],
+    410: [20, 21, 22, 23, 24, 25, 26, 27, 28],
+    420: [17, 18, 19, 20, 21, 22, 23, 24, 25],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 85],
+    450: [8, 9, 10, 11, 12, 13, 14, 85],
+    460: [4, 5, 6, 7, 8, 9, 10],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 85],
+    480: [0, 1, 2, 3, 85, 357, 358, 359],
+    490: [0, 85, 357, 358, 359]
+  },
+  290: {
+    0: [73, 74, 75, 83],
+    10: [73, 74, 83],
+    20: [72, 73, 74, 83],
+    30: [72, 73, 83],
+    40: [71, 72, 73, 83],
+    50: [71, 72, 73, 83],
+    60: [70, 71, 72, 83],
+    70: [69, 70, 71, 72, 83],
+    80: [69, 70, 71, 83],
+    90: [68, 69, 70, 83],
+    100: [68, 69, 70, 83],
+    110: [67, 68, 69, 83],
+    120: [66, 67, 68, 69, 83, 84],
+    130: [66, 67, 68, 83, 84],
+    140: [65, 66, 67, 84],
+    150: [64, 65, 66, 67, 84],
+    160: [63, 64, 65, 66, 84],
+    170: [62, 63, 64, 65, 84],
+    180: [61, 62, 63, 64, 84],
+    190: [60, 61, 62, 63, 64, 84],
+    200: [60, 61, 62, 63, 84],
+    210: [58, 59, 60, 61, 62, 84],
+    220: [57, 58, 59, 60, 61, 84],
+    230: [56, 57, 58, 59, 60, 84],
+    240: [55, 56, 57, 58, 59, 84],
+    250: [53, 54, 55, 56, 57, 58, 84],
+    260: [53, 54, 55, 56, 84],
+    270: [50, 51, 52, 53, 54, 55, 84],
+    280: [49, 50, 51, 52, 53, 54, 84],
+    290: [47, 48, 49, 50, 51, 52, 84],
+    300: [46, 47, 48, 49, 50, 51, 84],
+    310: [44, 45, 46, 47, 48, 49, 84],
+    320: [42, 43, 44, 45, 46, 47, 84],
+    330: [40, 41, 42, 43, 44, 45, 46, 84],
+    340: [38, 39, 40, 41, 42, 43, 84],
+    350: [35, 36, 37, 38, 39, 40, 41, 42, 84],
+    360: [33, 34, 35, 36, 37, 38, 39, 84],
+    370: [31, 32, 33, 34, 35, 36, 84],
+    380: [28, 29, 30, 31, 32, 33, 34, 35, 84],
+    390: [25, 26, 27, 28, 29, 30, 31, 32, 84],
+    400: [23, 24, 25, 26, 27, 28, 29, 84],
+    410: [20, 21, 22, 23, 24, 25, 26, 84],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 84],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 21, 84],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 84],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 84],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 84],
+    480: [0, 1, 2, 3, 4, 84, 358, 359],
+    490: [0, 1, 84, 358, 359],
+    500: [358]
+  },
+  300: {
+    0: [72, 73, 74, 82, 83],
+    10: [72, 73, 83],
+    20: [71, 72, 73, 83],
+    30: [71, 72, 73, 83],
+    40: [70, 71, 72, 83],
+    50: [70, 71, 72, 83],
+    60: [69, 70, 71, 83],
+    70: [68, 69, 70, 83],
+    80: [68, 69, 70, 83],
+    90: [67, 68, 69, 83],
+    100: [67, 68, 69, 83],
+    110: [66, 67, 68, 83],
+    120: [65, 66, 67, 68, 83],
+    130: [64, 65, 66, 67, 83],
+    140: [64, 65, 66, 83],
+    150: [63, 64, 65, 66, 83],
+    160: [62, 63, 64, 65, 83],
+    170: [61, 62, 63, 64, 83],
+    180: [60, 61, 62, 63, 83],
+    190: [59, 60, 61, 62, 83],
+    200: [58, 59, 60, 61, 83],
+    210: [57, 58, 59, 60, 83],
+    220: [56, 57, 58, 59, 60, 83],
+    230: [55, 56, 57, 58, 83],
+    240: [53, 54, 55, 56, 57, 83],
+    250: [52, 53, 54, 55, 56, 83],
+    260: [51, 52, 53, 54, 55, 84],
+    270: [49, 50, 51, 52, 53, 84],
+    280: [48, 49, 50, 51, 52, 84],
+    290: [46, 47, 48, 49, 50, 51, 84],
+    300: [44, 45, 46, 47, 48, 49, 84],
+    310: [43, 44, 45, 46, 47, 48, 84],
+    320: [41, 42, 43, 44, 45, 84],
+    330: [38, 39, 40, 41, 42, 43, 44, 84],
+    340: [37, 38, 39, 40, 41, 42, 84],
+    350: [35, 36, 37, 38, 39, 84],
+    360: [32, 33, 34, 35, 36, 37, 38, 84],
+    370: [29, 30, 31, 32, 33, 34, 35, 36, 84],
+    380: [28, 29, 30, 31, 32, 33, 84],
+    390: [25, 26, 27, 28, 29, 30, 84],
+    400: [21, 22, 23, 24, 25, 26, 27, 28, 84],
+    410: [18, 19, 20, 21, 22, 23, 24, 25, 26, 84],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 84],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 84],
+    440: [11, 12, 13, 14, 15, 16, 84],
+    450: [7, 8, 9, 10, 11, 12, 13, 84],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 84],
+    480: [0, 1, 2, 3, 4, 84, 358, 359],
+    490: [0, 1, 84, 358, 359],
+    500: [84]
+  },
+  310: {
+    0: [72, 73, 82],
+    10: [71, 72, 73, 82],
+    20: [71, 72, 82],
+    30: [70, 71, 72, 82],
+    40: [69, 70, 71, 82],
+    50: [69, 70, 71, 82],
+    60: [68, 69, 70, 82, 83],
+    70: [68, 69, 70, 82, 83],
+    80: [67, 68, 69, 83],
+    90: [66, 67, 68, 83],
+    100: [65, 66, 67, 68, 83],
+    110: [65, 66, 67, 83],
+    120: [64, 65, 66, 67, 83],
+    130: [63, 64, 65, 66, 83],
+    140: [63, 64, 65, 83],
+    150: [62, 63, 64, 83],
+    160: [61, 62, 63, 83],
+    170: [60, 61, 62, 63, 83],
+    180: [59, 60, 61, 62, 83],
+    190: [58, 59, 60, 61, 83],
+    200: [57, 58, 59, 60, 83],
+    210: [56, 57, 58, 59, 83],
+    220: [54, 55, 56, 57, 58, 83],
+    230: [54, 55, 56, 57, 83],
+    240: [52, 53, 54, 55, 56, 83],
+    250: [51, 52, 53, 54, 55, 83],
+    260: [49, 50, 51, 52, 53, 83],
+    270: [48, 49, 50, 51, 52, 83],
+    280: [46, 47, 48, 49, 50, 83],
+    290: [45, 46, 47, 48, 49, 83],
+    300: [44, 45, 46, 47, 48, 83],
+    310: [41, 42, 43, 44, 45, 46, 83],
+    320: [39, 40, 41, 42, 43, 44, 45, 83],
+    330: [38, 39, 40, 41, 42, 83],
+    340: [35, 36, 37, 38, 39, 40, 41, 83],
+    350: [33, 34, 35, 36, 37, 38, 39, 83],
+    360: [32, 33, 34, 35, 36, 83],
+    370: [28, 29, 30, 31, 32, 33, 34, 83],
+    380: [26, 27, 28, 29, 30, 31, 32, 83],
+    390: [24, 25, 26, 27, 28, 29, 30, 83],
+    400: [22, 23, 24, 25, 26, 27, 83],
+    410: [18, 19, 20, 21, 22, 23, 24],
+    420: [15, 16, 17, 18, 19, 20, 21, 22],
+    430: [12, 13, 14, 15, 16, 17, 18, 19],
+    440: [9, 10, 11, 12, 13, 14, 15, 16],
+    450: [6, 7, 8, 9, 10, 11, 12, 13],
+    460: [3, 4, 5, 6, 7, 8, 9, 10],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 84],
+    480: [0, 1, 2, 3, 4, 84, 359],
+    490: [0, 1, 84, 359]
+  },
+  320: {
+    0: [71, 72, 82],
+    10: [70, 71, 72, 82],
+    20: [70, 71, 82],
+    30: [69, 70, 71, 82],
+    40: [68, 69, 70, 82],
+    50: [68, 69, 70, 82],
+    60: [67, 68, 69, 82],
+    70: [67, 68, 69, 82],
+    80: [66, 67, 68, 82],
+    90: [65, 66, 67, 82],
+    100: [65, 66, 67, 82],
+    110: [64, 65, 66, 82],
+    120: [63, 64, 65, 82],
+    130: [62, 63, 64, 65, 82],
+    140: [61, 62, 63, 64, 82],
+    150: [61, 62, 63, 82],
+    160: [60, 61, 62, 63, 82],
+    170: [59, 60, 61, 62, 82, 83],
+    180: [58, 59, 60, 61, 83],
+    190: [57, 58, 59, 60, 83],
+    200: [56, 57, 58, 59, 83],
+    210: [54, 55, 56, 57, 58, 83],
+    220: [54, 55, 56, 57, 83],
+    230: [52, 53, 54, 55, 56, 83],
+    240: [51, 52, 53, 54, 83],
+    250: [49, 50, 51, 52, 53, 83],
+    260: [48, 49, 50, 51, 52, 83],
+    270: [47, 48, 49, 50, 51, 83],
+    280: [45, 46, 47, 48, 49, 83],
+    290: [44, 45, 46, 47, 83],
+    300: [42, 43, 44, 45, 46, 83],
+    310: [41, 42, 43, 44, 45, 83],
+    320: [38, 39, 40, 41, 42, 43, 83],
+    330: [36, 37, 38, 39, 40, 41, 83],
+    340: [35, 36, 37, 38, 39, 83],
+    350: [32, 33, 34, 35, 36, 37, 83],
+    360: [30, 31, 32, 33, 34, 35, 83],
+    370: [28, 29, 30, 31, 32, 33, 83],
+    380: [26, 27, 28, 29, 30, 83],
+    390: [23, 24, 25, 26, 27, 28, 83],
+    400: [20, 21, 22, 23, 24, 25, 26, 83],
+    410: [17, 18, 19, 20, 21, 22, 23, 24, 83],
+    420: [15, 16, 17, 18, 19, 20, 21, 83],
+    430: [13, 14, 15, 16, 17, 18, 83],
+    440: [10, 11, 12, 13, 14, 15, 83],
+    450: [7, 8, 9, 10, 11, 12, 83],
+    460: [4, 5, 6, 7, 8, 9, 10, 83],
+    470: [1, 2, 3, 4, 5, 6, 7, 83],
+    480: [0, 1, 2, 3, 4, 83, 359],
+    490: [0, 1, 359]
+  },
+  330: {
+    0: [70, 71, 72, 81],
+    10: [69, 70, 71, 81],
+    20: [69, 70, 81],
+    30: [68, 69, 70, 81, 82],
+    40: [68, 69, 81, 82],
+    50: [67, 68, 69, 82],
+    60: [66, 67, 68, 82],
+    70: [66, 67, 68, 82],
+    80: [65, 66, 67, 82],
+    90: [64, 65, 66, 67, 82],
+    100: [64, 65, 66, 82],
+    110: [63, 64, 65, 82],
+    120: [62, 63, 64, 82],
+    130: [61, 62, 63, 64, 82],
+    140: [60, 61, 62, 63, 82],
+    150: [60, 61, 62, 82],
+    160: [59, 60, 61, 82],
+    170: [58, 59, 60, 82],
+    180: [57, 58, 59, 60, 82],
+    190: [56, 57, 58, 82],
+    200: [55, 56, 57, 58, 82],
+    210: [53, 54, 55, 56, 82],
+    220: [52, 53, 54, 55, 56, 82],
+    230: [51, 52, 53, 54, 82],
+    240: [50, 51, 52, 53, 82],
+    250: [49, 50, 51, 52, 82],
+    260: [47, 48, 49, 50, 51, 82],
+    270: [46, 47, 48, 49, 82],
+    280: [44, 45, 46, 47, 48, 82],
+    290: [43, 44, 45, 46, 47, 82],
+    300: [41, 42, 43, 44, 45, 83],
+    310: [39, 40, 41, 42, 43, 44, 83],
+    320: [37, 38, 39, 40, 41, 42, 83],
+    330: [35, 36, 37, 38, 39, 40, 83],
+    340: [33, 34, 35, 36, 37, 38, 83],
+    350: [31, 32, 33, 34, 35, 36, 83],
+    360: [29, 30, 31, 32, 33, 34, 83],
+    370: [27, 28, 29, 30, 31, 32, 83],
+    380: [24, 25, 26, 27, 28, 29, 30, 83],
+    390: [22, 23, 24, 25, 26, 27, 28, 83],
+    400: [20, 21, 22, 23, 24, 25, 83],
+    410: [17, 18, 19, 20, 21, 22, 83],
+    420: [14, 15, 16, 17, 18, 19, 20, 83],
+    430: [12, 13, 14, 15, 16, 17, 18, 83],
+    440: [9, 10, 11, 12, 13, 14, 15, 83],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 83],
+    460: [4, 5, 6, 7, 8, 9, 10, 83],
+    470: [1, 2, 3, 4, 5, 6, 7, 83],
+    480: [0, 1, 2, 3, 4, 83],
+    490: [0, 1, 2]
+  },
+  340: {
+    0: [69, 70, 71, 81],
+    10: [69, 70, 81],
+    20: [68, 69, 70, 81],
+    30: [68, 69, 81],
+    40: [67, 68, 69, 81],
+    50: [66, 67, 68, 81],
+    60: [65, 66, 67, 81],
+    70: [65, 66, 67, 81],
+    80: [64, 65, 66, 81],
+    90: [63, 64, 65, 66, 81],
+    100: [63, 64, 65, 81, 82],
+    110: [62, 63, 64, 81, 82],
+    120: [61, 62, 63, 81, 82],
+    130: [60, 61, 62, 63, 82],
+    140: [60, 61, 62, 82],
+    150: [58, 59, 60, 61, 82],
+    160: [58, 59, 60, 82],
+    170: [57, 58, 59, 82],
+    180: [56, 57, 58, 82],
+    190: [55, 56, 57, 58, 82],
+    200: [53, 54, 55, 56, 82],
+    210: [52, 53, 54, 55, 56, 82],
+    220: [51, 52, 53, 54, 82],
+    230: [50, 51, 52, 53, 82],
+    240: [49, 50, 51, 52, 82],
+    250: [47, 48, 49, 50, 51, 82],
+    260: [46, 47, 48, 49, 82],
+    270: [44, 45, 46, 47, 48, 82],
+    280: [43, 44, 45, 46, 47, 82],
+    290: [41, 42, 43, 44, 45, 82],
+    300: [40, 41, 42, 43, 44, 82],
+    310: [38, 39, 40, 41, 42, 82],
+    320: [36, 37, 38, 39, 40, 41, 82],
+    330: [34, 35, 36, 37, 38, 39, 82],
+    340: [33, 34, 35, 36, 37, 82],
+    350: [30, 31, 32, 33, 34, 35, 82],
+    360: [28, 29, 30, 31, 32, 33, 82],
+    370: [27, 28, 29, 30, 31, 82],
+    380: [24, 25, 26, 27, 28, 82],
+    390: [21, 22, 23, 24, 25, 26, 27, 82],
+    400: [19, 20, 21, 22, 23, 24, 25, 82],
+    410: [17, 18, 19, 20, 21, 22, 82],
+    420: [15, 16, 17, 18, 19, 20, 82],
+    430: [12, 13, 14, 15, 16, 17, 82],
+    440: [9, 10, 11, 12, 13, 14],
+    450: [6, 7, 8, 9, 10, 11, 12],
+    460: [4, 5, 6, 7, 8, 9],
+    470: [1, 2, 3, 4, 5, 6, 7],
+    480: [0, 1, 2, 3, 4],
+    490: [0, 1, 2]
+  },
+  350: {
+    0: [69, 70, 80, 81],
+    10: [68, 69, 80, 81],
+    20: [67, 68, 69, 80, 81],
+    30: [67, 68, 81],
+    40: [66, 67, 68, 81],
+    50: [65, 66, 67, 81],
+    60: [65, 66, 67, 81],
+    70: [64, 65, 66, 81],
+    80: [63, 64, 65, 81],
+    90: [62, 63, 64, 65, 81],
+    100: [62, 63, 64, 81],
+    110: [61, 62, 63, 81],
+    120: [60, 61, 62, 81],
+    130: [59, 60, 61, 62, 81],
+    140: [58, 59, 60, 61, 81],
+    150: [58, 59, 60, 81],
+    160: [57, 58, 59, 81],
+    170: [56, 57, 58, 81],
+    180: [55, 56, 57, 81],
+    190: [53, 54, 55, 56, 81],
+    200: [53, 54, 55, 81],
+    210: [51, 52, 53, 54, 81, 82],
+    220: [50, 51, 52, 53, 82],
+    230: [49, 50, 51, 52, 82],
+    240: [48, 49, 50, 51, 82],
+    250: [46, 47, 48, 49, 50, 82],
+    260: [45, 46, 47, 48, 49, 82],
+    270: [43, 44, 45, 46, 47, 82],
+    280: [42, 43, 44, 45, 46, 82],
+    290: [41, 42, 43, 44, 82],
+    300: [39, 40, 41, 42, 43, 82],
+    310: [37, 38, 39, 40, 41, 82],
+    320: [36, 37, 38, 39, 82],
+    330: [33, 34, 35, 36, 37, 38, 82],
+    340: [31, 32, 33, 34, 35, 36, 82],
+    350: [30, 31, 32, 33, 34, 82],
+    360: [27, 28, 29, 30, 31, 32, 82],
+    370: [25, 26, 27, 28, 29, 30, 82],
+    380: [23, 24, 25, 26, 27, 28, 82],
+    390: [21, 22, 23, 24, 25, 26, 82],
+    400: [19, 20, 21, 22, 23, 82],
+    410: [16, 17, 18, 19, 20, 21, 82],
+    420: [14, 15, 16, 17, 18, 19, 82],
+    430: [11, 12, 13, 14, 15, 16, 17, 82],
+    440: [9, 10, 11, 12, 13, 14, 15, 82],
+    450: [7, 8, 9, 10, 11, 12, 82],
+    460: [4, 5, 6, 7, 8, 9, 10, 82],
+    470: [2, 3, 4, 5, 6, 7, 82],
+    480: [0, 1, 2, 3, 4, 82],
+    490: [0, 1, 2, 82],
+    500: [0]
+  },
+  360: {
+    0: [68, 69, 80],
+    10: [67, 68, 69, 80],
+    20: [67, 68, 80],
+    30: [66, 67, 68, 80],
+    40: [65, 66, 67, 80],
+    50: [65, 66, 80],
+    60: [64, 65, 66, 80],
+    70: [63, 64, 65, 80, 81],
+    80: [62, 63, 64, 80, 81],
+    90: [62, 63, 64, 81],
+    100: [61, 62, 63, 81],
+    110: [60, 61, 62, 81],
+    120: [59, 60, 61, 62, 81],
+    130: [58, 59, 60, 61, 81],
+    140: [58, 59, 60, 81],
+    150: [57, 58, 59, 81],
+    160: [56, 57, 58, 81],
+    170: [55, 56, 57, 81],
+    180: [54, 55, 56, 81],
+    190: [53, 54, 55, 81],
+    200: [51, 52, 53, 54, 81],
+    210: [50, 51, 52, 53, 81],
+    220: [49, 50, 51, 52, 81],
+    230: [48, 49, 50, 51, 81],
+    240: [47, 48, 49, 50, 81],
+    250: [46, 47, 48, 49, 81],
+    260: [44, 45, 46, 47, 81],
+    270: [43, 44, 45, 46, 81],
+    280: [41, 42, 43, 44, 81],
+    290: [39, 40, 41, 42, 43, 81],
+    300: [38, 39, 40, 41, 42, 81],
+    310: [36, 37, 38, 39, 40, 81],
+    320: [34, 35, 36, 37, 38, 39],
+    330: [33, 34, 35, 36, 37, 82],
+    340: [31, 32, 33, 34, 35],
+    350: [29, 30, 31, 32, 33, 82],
+    360: [27, 28, 29, 30, 31, 82],
+    370: [25, 26, 27, 28, 29, 82],
+    380: [23, 24, 25, 26, 27, 82],
+    390: [20, 21, 22, 23, 24, 25, 82],
+    400: [18, 19, 20, 21, 22, 23, 82],
+    410: [16, 17, 18, 19, 20, 21, 82],
+    420: [14, 15, 16, 17, 18, 19, 82],
+    430: [12, 13, 14, 15, 16, 82],
+    440: [9, 10, 11, 12, 13, 14, 82],
+    450: [6, 7, 8, 9, 10, 11, 82],
+    460: [4, 5, 6, 7, 8, 9, 82],
+    470: [2, 3, 4, 5, 6, 7, 82],
+    480: [0, 1, 2, 3, 4, 5, 82],
+    490: [0, 1, 2, 82],
+    500: [0]
+  },
+  370: {
+    0: [67, 68, 69, 79, 80],
+    10: [66, 67, 68, 80],
+    20: [66, 67, 80],
+    30: [65, 66, 67, 80],
+    40: [64, 65, 66, 80],
+    50: [64, 65, 66, 80],
+    60: [63, 64, 65, 80],
+    70: [62, 63, 64, 80],
+    80: [62, 63, 64, 80],
+    90: [61, 62, 63, 80],
+    100: [60, 61, 62, 80],
+    110: [59, 60, 61, 80],
+    120: [58, 59, 60, 61, 80],
+    130: [58, 59, 60, 80],
+    140: [57, 58, 59, 80],
+    150: [56, 57, 58, 80, 81],
+    160: [55, 56, 57, 81],
+    170: [54, 55, 56, 81],
+    180: [53, 54, 55, 81],
+    190: [52, 53, 54, 81],
+    200: [51, 52, 53, 81],
+    210: [49, 50, 51, 52, 81],
+    220: [48, 49, 50, 51, 81],
+    230: [47, 48, 49, 50, 81],
+    240: [46, 47, 48, 49, 81],
+    250: [44, 45, 46, 47, 48, 81],
+    260: [43, 44, 45, 46, 81],
+    270: [41, 42, 43, 44, 45, 81],
+    280: [40, 41, 42, 43, 44, 81],
+    290: [39, 40, 41, 42, 81],
+    300: [37, 38, 39, 40, 41, 81],
+    310: [35, 36, 37, 38, 39, 81],
+    320: [34, 35, 36, 37, 81],
+    330: [32, 33, 34, 35, 36, 81],
+    340: [30, 31, 32, 33, 34, 81],
+    350: [28, 29, 30, 31, 32, 81],
+    360: [26, 27, 28, 29, 30, 81],
+    370: [24, 25, 26, 27, 28, 29, 81],
+    380: [22, 23, 24, 25, 26, 27, 81],
+    390: [21, 22, 23, 24, 81],
+    400: [18, 19, 20, 21, 22, 81],
+    410: [16, 17, 18, 19, 20, 81],
+    420: [13, 14, 15, 16, 17, 18, 81],
+    430: [11, 12, 13, 14, 15, 16, 81],
+    440: [9, 10, 11, 12, 13, 14, 81],
+    450: [7, 8, 9, 10, 11, 12, 81],
+    460: [5, 6, 7, 8, 9],
+    470: [2, 3, 4, 5, 6, 7],
+    480: [1, 2, 3, 4, 5],
+    490: [0, 1, 2]
+  },
+  380: {
+    0: [66, 67, 68, 79],
+    10: [66, 67, 79],
+    20: [65, 66, 67, 79],
+    30: [64, 65, 66, 79],
+    40: [64, 65, 79, 80],
+    50: [63, 64, 65, 79, 80],
+    60: [62, 63, 64, 79, 80],
+    70: [62, 63, 80],
+    80: [61, 62, 63, 80],
+    90: [60, 61, 62, 80],
+    100: [59, 60, 61, 80],
+    110: [58, 59, 60, 61, 80],
+    120: [58, 59, 60, 80],
+    130: [57, 58, 59, 80],
+    140: [56, 57, 58, 80],
+    150: [55, 56, 57, 80],
+    160: [54, 55, 56, 80],
+    170: [53, 54, 55, 80],
+    180: [52, 53, 54, 55, 80],
+    190: [51, 52, 53, 80],
+    200: [50, 51, 52, 53, 80],
+    210: [48, 49, 50, 51, 80],
+    220: [47, 48, 49, 50, 80],
+    230: [46, 47, 48, 49, 80],
+    240: [45, 46, 47, 48, 80],
+    250: [44, 45, 46, 47],
+    260: [42, 43, 44, 45, 81],
+    270: [41, 42, 43, 44, 81],
+    280: [39, 40, 41, 42, 43, 81],
+    290: [38, 39, 40, 41, 81],
+    300: [36, 37, 38, 39, 40, 81],
+    310: [34, 35, 36, 37, 38, 81],
+    320: [33, 34, 35, 36, 37, 81],
+    330: [31, 32, 33, 34, 35, 81],
+    340: [29, 30, 31, 32, 33, 81],
+    350: [27, 28, 29, 30, 31, 32, 81],
+    360: [26, 27, 28, 29, 30, 81],
+    370: [24, 25, 26, 27, 28, 81],
+    380: [22, 23, 24, 25, 26, 81],
+    390: [19, 20, 21, 22, 23, 24, 81],
+    400: [17, 18, 19, 20, 21, 22, 81],
+    410: [16, 17, 18, 19, 20, 81],
+    420: [14, 15, 16, 17, 18, 81],
+    430: [11, 12, 13, 14, 15, 81],
+    440: [9, 10, 11, 12, 13, 81],
+    450: [7, 8, 9, 10, 11, 81],
+    460: [4, 5, 6, 7, 8, 9, 81],
+    470: [2, 3, 4, 5, 6, 7, 81],
+    480: [1, 2, 3, 4, 5, 81],
+    490: [1, 2, 3, 81],
+    500: [1]
+  },
+  390: {
+    0: [66, 67, 79],
+    10: [65, 66, 67, 79],
+    20: [64, 65, 66, 79],
+    30: [64, 65, 79],
+    40: [63, 64, 65, 79],
+    50: [62, 63, 64, 79],
+    60: [62, 63, 79],
+    70: [61, 62, 63, 79],
+    80: [60, 61, 62, 79],
+    90: [59, 60, 61, 79],
+    100: [58, 59, 60, 79, 80],
+    110: [58, 59, 60, 79, 80],
+    120: [57, 58, 59, 79, 80],
+    130: [56, 57, 58, 80],
+    140: [55, 56, 57, 80],
+    150: [54, 55, 56, 80],
+    160: [53, 54, 55, 80],
+    170: [52, 53, 54, 55, 80],
+    180: [51, 52, 53, 80],
+    190: [50, 51, 52, 53, 80],
+    200: [49, 50, 51, 80],
+    210: [48, 49, 50, 51, 80],
+    220: [46, 47, 48, 49, 80],
+    230: [45, 46, 47, 48, 80],
+    240: [44, 45, 46, 47, 80],
+    250: [43, 44, 45, 46, 80],
+    260: [41, 42, 43, 44, 80],
+    270: [40, 41, 42, 43, 80],
+    280: [39, 40, 41, 42, 80],
+    290: [37, 38, 39, 40, 80],
+    300: [35, 36, 37, 38, 39, 80],
+    310: [34, 35, 36, 37, 80],
+    320: [32, 33, 34, 35, 36, 80],
+    330: [30, 31, 32, 33, 34, 80],
+    340: [29, 30, 31, 32, 33, 80],
+    350: [27, 28, 29, 30, 31],
+    360: [25, 26, 27, 28, 29],
+    370: [23, 24, 25, 26, 27, 81],
+    380: [21, 22, 23, 24, 25, 26, 81],
+    390: [20, 21, 22, 23, 81],
+    400: [17, 18, 19, 20, 21, 81],
+    410: [15, 16, 17, 18, 19, 81],
+    420: [13, 14, 15, 16, 17, 18, 81],
+    430: [11, 12, 13, 14, 15, 16, 81],
+    440: [9, 10, 11, 12, 13, 14, 81],
+    450: [7, 8, 9, 10, 11, 81],
+    460: [5, 6, 7, 8, 9, 81],
+    470: [3, 4, 5, 6, 7, 81],
+    480: [1, 2, 3, 4, 5, 81],
+    490: [1, 2, 3, 81]
+  },
+  400: {
+    0: [65, 66, 67, 78],
+    10: [64, 65, 66, 78],
+    20: [64, 65, 78, 79],
+    30: [63, 64, 65, 78, 79],
+    40: [62, 63, 64, 78, 79],
+    50: [62, 63, 79],
+    60: [61, 62, 63, 79],
+    70: [60, 61, 62, 79],
+    80: [59, 60, 61, 79],
+    90: [59, 60, 79],
+    100: [58, 59, 60, 79],
+    110: [57, 58, 59, 79],
+    120: [56, 57, 58, 79],
+    130: [55, 56, 57, 79],
+    140: [54, 55, 56, 79],
+    150: [53, 54, 55, 79],
+    160: [52, 53, 54, 55, 79],
+    170: [51, 52, 53, 54, 79],
+    180: [50, 51, 52, 53, 79],
+    190: [49, 50, 51, 52, 80],
+    200: [48, 49, 50, 51, 80],
+    210: [47, 48, 49, 50, 80],
+    220: [46, 47, 48, 49, 80],
+    230: [44, 45, 46, 47, 80],
+    240: [43, 44, 45, 46, 80],
+    250: [42, 43, 44, 45, 80],
+    260: [40, 41, 42, 43, 44, 80],
+    270: [39, 40, 41, 42, 80],
+    280: [38, 39, 40, 41, 80],
+    290: [36, 37, 38, 39, 40, 80],
+    300: [35, 36, 37, 38, 80],
+    310: [33, 34, 35, 36, 37, 80],
+    320: [32, 33, 34, 35, 80],
+    330: [30, 31, 32, 33, 80],
+    340: [28, 29, 30, 31, 32, 80],
+    350: [26, 27, 28, 29, 30, 80],
+    360: [25, 26, 27, 28, 29, 80],
+    370: [23, 24, 25, 26, 80],
+    380: [21, 22, 23, 24, 25, 80],
+    390: [19, 20, 21, 22, 23, 80],
+    400: [17, 18, 19, 20, 21, 80],
+    410: [15, 16, 17, 18, 19, 80],
+    420: [14, 15, 16, 17, 80],
+    430: [11, 12, 13, 14, 15, 80],
+    440: [9, 10, 11, 12, 13, 80],
+    450: [7, 8, 9, 10, 11, 80],
+    460: [5, 6, 7, 8, 9, 80],
+    470: [3, 4, 5, 6, 7, 80],
+    480: [2, 3, 4, 5],
+    490: [2, 3]
+  },
+  410: {
+    0: [64, 65, 66, 78],
+    10: [64, 65, 78],
+    20: [63, 64, 65, 78],
+    30: [62, 63, 64, 78],
+    40: [62, 63, 78],
+    50: [61, 62, 63, 78],
+    60: [60, 61, 62, 78],
+    70: [59, 60, 61, 78],
+    80: [59, 60, 61, 78, 79],
+    90: [58, 59, 60, 78, 79],
+    100: [57, 58, 59, 79],
+    110: [56, 57, 58, 79],
+    120: [55, 56, 57, 79],
+    130: [54, 55, 56, 79],
+    140: [53, 54, 55, 56, 79],
+    150: [53, 54, 55, 79],
+    160: [51, 52, 53, 54, 79],
+    170: [51, 52, 53, 79],
+    180: [49, 50, 51, 52, 79],
+    190: [48, 49, 50, 51, 79],
+    200: [47, 48, 49, 50, 79],
+    210: [46, 47, 48, 49, 79],
+    220: [45, 46, 47, 48, 79],
+    230: [44, 45, 46, 47, 79],
+    240: [42, 43, 44, 45, 79],
+    250: [41, 42, 43, 44, 79],
+    260: [40, 41, 42, 43, 79],
+    270: [38, 39, 40, 41, 42, 79],
+    280: [37, 38, 39, 40, 79],
+    290: [35, 36, 37, 38, 39, 80],
+    300: [34, 35, 36, 37, 80],
+    310: [33, 34, 35, 36, 80],
+    320: [31, 32, 33, 34, 80],
+    330: [29, 30, 31, 32, 33, 80],
+    340: [28, 29, 30, 31, 80],
+    350: [26, 27, 28, 29, 80],
+    360: [24, 25, 26, 27, 28, 80],
+    370: [22, 23, 24, 25, 26, 80],
+    380: [21, 22, 23, 24, 80],
+    390: [19, 20, 21, 22, 80],
+    400: [17, 18, 19, 20, 80],
+    410: [15, 16, 17, 18, 19, 80],
+    420: [13, 14, 15, 16, 17, 80],
+    430: [11, 12, 13, 14, 15, 80],
+    440: [9, 10, 11, 12, 13, 80],
+    450: [7, 8, 9, 10, 11, 80],
+    460: [5, 6, 7, 8, 9, 80],
+    470: [4, 5, 6, 7, 80],
+    480: [2, 3, 4, 5, 80],
+    490: [2, 3, 80],
+    500: [80]
+  },
+  420: {
+    0: [64, 65, 77],
+    10: [63, 64, 65, 77, 78],
+    20: [63, 64, 77, 78],
+    30: [62, 63, 77, 78],
+    40: [61, 62, 63, 78],
+    50: [60, 61, 62, 78],
+    60: [60, 61, 78],
+    70: [59, 60, 61, 78],
+    80: [58, 59, 60, 78],
+    90: [57, 58, 59, 78],
+    100: [56, 57, 58, 78],
+    110: [56, 57, 78],
+    120: [55, 56, 57, 78],
+    130: [54, 55, 56, 78],
+    140: [53, 54, 55, 78],
+    150: [52, 53, 54, 78, 79],
+    160: [51, 52, 53, 79],
+    170: [50, 51, 52, 79],
+    180: [49, 50, 51, 79],
+    190: [48, 49, 50, 79],
+    200: [47, 48, 49, 79],
+    210: [45, 46, 47, 48, 79],
+    220: [44, 45, 46, 47, 79],
+    230: [43, 44, 45, 46, 79],
+    240: [42, 43, 44, 45, 79],
+    250: [40, 41, 42, 43, 79],
+    260: [39, 40, 41, 42, 79],
+    270: [38, 39, 40, 41, 79],
+    280: [36, 37, 38, 39, 79],
+    290: [35, 36, 37, 38, 79],
+    300: [33, 34, 35, 36, 79],
+    310: [32, 33, 34, 35, 79],
+    320: [31, 32, 33, 34, 79],
+    330: [29, 30, 31, 32, 79],
+    340: [27, 28, 29, 30, 31, 79],
+    350: [25, 26, 27, 28, 29, 79],
+    360: [24, 25, 26, 27, 79],
+    370: [22, 23, 24, 25],
+    380: [20, 21, 22, 23, 24],
+    390: [18, 19, 20, 21, 22],
+    400: [17, 18, 19, 20, 21, 80],
+    410: [15, 16, 17, 18, 19, 80],
+    420: [13, 14, 15, 16, 17, 80],
+    430: [11, 12, 13, 14, 80],
+    440: [9, 10, 11, 12, 13, 80],
+    450: [7, 8, 9, 10, 11, 80],
+    460: [5, 6, 7, 8, 9, 80],
+    470: [3, 4, 5, 6, 7, 80],
+    480: [2, 3, 4, 5, 80],
+    490: [2, 3, 4, 80],
+    500: [2, 80]
+  },
+  430: {
+    0: [63, 64, 65, 77],
+    10: [63, 64, 77],
+    20: [62, 63, 77],
+    30: [61, 62, 63, 77],
+    40: [60, 61, 62, 77],
+    50: [60, 61, 77],
+    60: [59, 60, 61, 77, 78],
+    70: [58, 59, 60, 77, 78],
+    80: [57, 58, 59, 78],
+    90: [56, 57, 58, 78],
+    100: [56, 57, 58, 78],
+    110: [55, 56, 57, 78],
+    120: [54, 55, 56, 78],
+    130: [53, 54, 55, 78],
+    140: [52, 53, 54, 78],
+    150: [51, 52, 53, 78],
+    160: [50, 51, 52, 78],
+    170: [49, 50, 51, 78],
+    180: [48, 49, 50, 78],
+    190: [47, 48, 49, 78],
+    200: [46, 47, 48, 78],
+    210: [45, 46, 47, 78],
+    220: [43, 44, 45, 46, 78, 79],
+    230: [42, 43, 44, 45, 79],
+    240: [41, 42, 43, 44, 79],
+    250: [40, 41, 42, 43, 79],
+    260: [38, 39, 40, 41, 79],
+    270: [37, 38, 39, 40, 79],
+    280: [36, 37, 38, 39, 79],
+    290: [34, 35, 36, 37, 79],
+    300: [33, 34, 35, 36, 79],
+    310: [32, 33, 34, 35, 79],
+    320: [30, 31, 32, 33, 79],
+    330: [28, 29, 30, 31, 32, 79],
+    340: [27, 28, 29, 30, 79],
+    350: [25, 26, 27, 28, 79],
+    360: [23, 24, 25, 26, 27, 79],
+    370: [22, 23, 24, 25, 79],
+    380: [20, 21, 22, 23, 24, 79],
+    390: [18, 19, 20, 21, 22, 79],
+    400: [16, 17, 18, 19, 20, 79],
+    410: [14, 15, 16, 17, 18, 79],
+    420: [13, 14, 15, 16, 17, 79],
+    430: [11, 12, 13, 14, 15, 79],
+    440: [9, 10, 11, 12, 13, 79],
+    450: [7, 8, 9, 10, 11, 79],
+    460: [6, 7, 8, 9, 79],
+    470: [4, 5, 6, 7, 79],
+    480: [2, 3, 4, 5, 79],
+    490: [2, 3]
+  },
+  440: {
+    0: [63, 64, 76, 77],
+    10: [62, 63, 64, 76, 77],
+    20: [61, 62, 63, 76, 77],
+    30: [61, 62, 77],
+    40: [60, 61, 77],
+    50: [59, 60, 61, 77],
+    60: [58, 59, 60, 77],
+    70: [57, 58, 59, 77],
+    80: [57, 58, 77],
+    90: [56, 57, 58, 77],
+    100: [55, 56, 57, 77],
+    110: [54, 55, 56, 77, 78],
+    120: [53, 54, 55, 77, 78],
+    130: [52, 53, 54, 78],
+    140: [51, 52, 53, 78],
+    150: [50, 51, 52, 78],
+    160: [49, 50, 51, 52, 78],
+    170: [48, 49, 50, 51, 78],
+    180: [47, 48, 49, 50, 78],
+    190: [46, 47, 48, 49, 78],
+    200: [45, 46, 47, 48, 78],
+    210: [44, 45, 46, 47, 78],
+    220: [43, 44, 45, 78],
+    230: [42, 43, 44, 78],
+    240: [41, 42, 43, 78],
+    250: [39, 40, 41, 42, 78],
+    260: [38, 39, 40, 41, 78],
+    270: [37, 38, 39, 78],
+    280: [35, 36, 37, 38, 78],
+    290: [34, 35, 36, 37, 78],
+    300: [32, 33, 34, 35, 78],
+    310: [31, 32, 33, 34, 79],
+    320: [30, 31, 32, 33, 79],
+    330: [28, 29, 30, 31, 79],
+    340: [26, 27, 28, 29, 79],
+    350: [25, 26, 27, 28, 79],
+    360: [23, 24, 25, 26, 79],
+    370: [21, 22, 23, 24, 25, 79],
+    380: [20, 21, 22, 23, 79],
+    390: [18, 19, 20, 21, 22, 79],
+    400: [16, 17, 18, 19, 20, 79],
+    410: [15, 16, 17, 18, 79],
+    420: [13, 14, 15, 16, 79],
+    430: [11, 12, 13, 14, 79],
+    440: [9, 10, 11, 12, 79],
+    450: [7, 8, 9, 10, 11, 79],
+    460: [5, 6, 7, 8, 9, 79],
+    470: [4, 5, 6, 7, 79],
+    480: [3, 4, 5, 6, 79],
+    490: [3, 4, 79]
+  },
+  450: {
+    0: [62, 63, 64, 76],
+    10: [62, 63, 76],
+    20: [61, 62, 76],
+    30: [60, 61, 62, 76],
+    40: [59, 60, 61, 76],
+    50: [59, 60, 76, 77],
+    60: [58, 59, 76, 77],
+    70: [57, 58, 59, 77],
+    80: [56, 57, 58, 77],
+    90: [55, 56, 57, 77],
+    100: [54, 55, 56, 77],
+    110: [53, 54, 55, 77],
+    120: [53, 54, 55, 77],
+    130: [52, 53, 54, 77],
+    140: [51, 52, 53, 77],
+    150: [50, 51, 52, 77],
+    160: [49, 50, 51, 77],
+    170: [48, 49, 50, 77],
+    180: [47, 48, 49, 77, 78],
+    190: [46, 47, 48, 78],
+    200: [45, 46, 47, 78],
+    210: [43, 44, 45, 46, 78],
+    220: [42, 43, 44, 45, 78],
+    230: [41, 42, 43, 44, 78],
+    240: [40, 41, 42, 78],
+    250: [39, 40, 41, 78],
+    260: [37, 38, 39, 40, 78],
+    270: [36, 37, 38, 39, 78],
+    280: [35, 36, 37, 78],
+    290: [33, 34, 35, 36, 78],
+    300: [32, 33, 34, 35, 78],
+    310: [31, 32, 33, 78],
+    320: [29, 30, 31, 32, 78],
+    330: [27, 28, 29, 30, 31, 78],
+    340: [26, 27, 28, 29, 78],
+    350: [24, 25, 26, 27, 78],
+    360: [23, 24, 25, 26, 78],
+    370: [21, 22, 23, 24, 25, 78],
+    380: [20, 21, 22, 23, 78],
+    390: [18, 19, 20, 21, 78],
+    400: [16, 17, 18, 19, 78],
+    410: [14, 15, 16, 17, 18],
+    420: [13, 14, 15, 16, 79],
+    430: [11, 12, 13, 14, 15, 79],
+    440: [9, 10, 11, 12, 13, 79],
+    450: [8, 9, 10, 11, 79],
+    460: [6, 7, 8, 9, 79],
+    470: [4, 5, 6, 7, 8, 79],
+    480: [3, 4, 5, 6, 79],
+    490: [3, 4]
+  },
+  460: {
+    0: [62, 63, 75, 76],
+    10: [61, 62, 75, 76],
+    20: [60, 61, 62, 76],
+    30: [60, 61, 76],
+    40: [59, 60, 76],
+    50: [58, 59, 60, 76],
+    60: [57, 58, 59, 76],
+    70: [56, 57, 58, 76],
+    80: [56, 57, 76],
+    90: [55, 56, 76, 77],
+    100: [54, 55, 56, 76, 77],
+    110: [53, 54, 55, 77],
+    120: [52, 53, 54, 77],
+    130: [51, 52, 53, 77],
+    140: [50, 51, 52, 77],
+    150: [49, 50, 51, 77],
+    160: [48, 49, 50, 77],
+    170: [47, 48, 49, 77],
+    180: [46, 47, 48, 77],
+    190: [45, 46, 47, 77],
+    200: [44, 45, 46, 77],
+    210: [43, 44, 45, 77],
+    220: [42, 43, 44, 77],
+    230: [40, 41, 42, 43, 77],
+    240: [39, 40, 41, 42, 77],
+    250: [38, 39, 40, 41, 77, 78],
+    260: [37, 38, 39, 40, 78],
+    270: [35, 36, 37, 38, 78],
+    280: [34, 35, 36, 37, 78],
+    290: [33, 34, 35, 36, 78],
+    300: [31, 32, 33, 34, 78],
+    310: [30, 31, 32, 33, 78],
+    320: [29, 30, 31, 32, 78],
+    330: [27, 28, 29, 30, 78],
+    340: [25, 26, 27, 28, 29, 78],
+    350: [24, 25, 26, 27, 78],
+    360: [23, 24, 25, 26, 78],
+    370: [21, 22, 23, 24, 78],
+    380: [19, 20, 21, 22, 78],
+    390: [18, 19, 20, 21, 78],
+    400: [16, 17, 18, 19, 78],
+    410: [15, 16, 17, 18, 78],
+    420: [13, 14, 15, 16, 78],
+    430: [11, 12, 13, 14, 78],
+    440: [9, 10, 11, 12, 78],
+    450: [7, 8, 9, 10, 11, 78],
+    460: [6, 7, 8, 9, 78],
+    470: [4, 5, 6, 7, 8, 78],
+    480: [3, 4, 5, 6, 78],
+    490: [3, 4, 78],
+    500: [3]
+  },
+  470: {
+    0: [61, 62, 63, 75],
+    10: [60, 61, 62, 75],
+    20: [60, 61, 75],
+    30: [59, 60, 75, 76],
+    40: [58, 59, 60, 75, 76],
+    50: [57, 58, 59, 75, 76],
+    60: [57, 58, 76],
+    70: [56, 57, 76],
+    80: [55, 56, 57, 76],
+    90: [54, 55, 56, 76],
+    100: [53, 54, 55, 76],
+    110: [52, 53, 54, 76],
+    120: [51, 52, 53, 76],
+    130: [51, 52, 76],
+    140: [50, 51, 76],
+    150: [49, 50, 51, 76, 77],
+    160: [48, 49, 50, 77],
+    170: [47, 48, 49, 77],
+    180: [46, 47, 48, 77],
+    190: [44, 45, 46, 47, 77],
+    200: [43, 44, 45, 46, 77],
+    210: [42, 43, 44, 45, 77],
+    220: [41, 42, 43, 44, 77],
+    230: [40, 41, 42, 77],
+    240: [39, 40, 41, 77],
+    250: [38, 39, 40, 77],
+    260: [36, 37, 38, 39, 77],
+    270: [35, 36, 37, 38, 77],
+    280: [34, 35, 36, 77],
+    290: [32, 33, 34, 35, 77],
+    300: [31, 32, 33, 34, 77],
+    310: [30, 31, 32, 77],
+    320: [28, 29, 30, 31, 77],
+    330: [27, 28, 29, 30, 77],
+    340: [26, 27, 28, 78],
+    350: [24, 25, 26, 27, 78],
+    360: [22, 23, 24, 25, 78],
+    370: [21, 22, 23, 24, 78],
+    380: [19, 20, 21, 22, 78],
+    390: [18, 19, 20, 21, 78],
+    400: [16, 17, 18, 19, 78],
+    410: [14, 15, 16, 17, 78],
+    420: [13, 14, 15, 16, 78],
+    430: [11, 12, 13, 14, 78],
+    440: [9, 10, 11, 12, 13, 78],
+    450: [8, 9, 10, 11, 78],
+    460: [6, 7, 8, 9, 10, 78],
+    470: [5, 6, 7, 8, 78],
+    480: [3, 4, 5, 6, 78],
+    490: [3, 4, 78]
+  },
+  480: {
+    0: [61, 62, 74, 75],
+    10: [60, 61, 62, 74, 75],
+    20: [59, 60, 61, 75],
+    30: [59, 60, 75],
+    40: [58, 59, 75],
+    50: [57, 58, 75],
+    60: [56, 57, 58, 75],
+    70: [55, 56, 57, 75, 76],
+    80: [54, 55, 56, 75, 76],
+    90: [54, 55, 75, 76],
+    100: [53, 54, 76],
+    110: [52, 53, 54, 76],
+    120: [51, 52, 53, 76],
+    130: [50, 51, 52, 76],
+    140: [49, 50, 51, 76],
+    150: [48, 49, 50, 76],
+    160: [47, 48, 49, 76],
+    170: [46, 47, 48, 76],
+    180: [45, 46, 47, 76],
+    190: [44, 45, 46, 76],
+    200: [43, 44, 45, 76],
+    210: [42, 43, 44, 76, 77],
+    220: [41, 42, 43, 77],
+    230: [39, 40, 41, 42, 77],
+    240: [38, 39, 40, 41, 77],
+    250: [37, 38, 39, 77],
+    260: [36, 37, 38, 77],
+    270: [35, 36, 37, 77],
+    280: [33, 34, 35, 36, 77],
+    290: [32, 33, 34, 35, 77],
+    300: [31, 32, 33, 77],
+    310: [29, 30, 31, 32, 77],
+    320: [28, 29, 30, 31, 77],
+    330: [26, 27, 28, 29, 77],
+    340: [25, 26, 27, 28, 77],
+    350: [23, 24, 25, 26, 27, 77],
+    360: [22, 23, 24, 25, 77],
+    370: [21, 22, 23, 77],
+    380: [19, 20, 21, 22, 77],
+    390: [17, 18, 19, 20, 77],
+    400: [16, 17, 18, 19, 77],
+    410: [14, 15, 16, 17, 18, 77],
+    420: [13, 14, 15, 16, 77],
+    430: [11, 12, 13, 14, 77],
+    440: [9, 10, 11, 12, 78],
+    450: [8, 9, 10, 11, 78],
+    460: [6, 7, 8, 9, 78],
+    470: [4, 5, 6, 7, 8, 78],
+    480: [4, 5, 6, 78],
+    490: [4, 5, 78]
+  },
+  490: {
+    0: [60, 61, 62, 74],
+    10: [60, 61, 74],
+    20: [59, 60, 74],
+    30: [58, 59, 60, 74, 75],
+    40: [57, 58, 59, 74, 75],
+    50: [56, 57, 58, 75],
+    60: [56, 57, 75],
+    70: [55, 56, 75],
+    80: [54, 55, 56, 75],
+    90: [53, 54, 55, 75],
+    100: [52, 53, 54, 75],
+    110: [51, 52, 53, 75],
+    120: [50, 51, 52, 75, 76],
+    130: [50, 51, 75, 76],
+    140: [48, 49, 50, 76],
+    150: [48, 49, 50, 76],
+    160: [47, 48, 76],
+    170: [45, 46, 47, 48, 76],
+    180: [45, 46, 47, 76],
+    190: [43, 44, 45, 46, 76],
+    200: [42, 43, 44, 45, 76],
+    210: [41, 42, 43, 76],
+    220: [40, 41, 42, 76],
+    230: [39, 40, 41, 76],
+    240: [38, 39, 40, 76],
+    250: [37, 38, 39, 76],
+    260: [35, 36, 37, 38, 76],
+    270: [34, 35, 36, 37, 76],
+    280: [33, 34, 35, 77],
+    290: [31, 32, 33, 34, 77],
+    300: [30, 31, 32, 33, 77],
+    310: [29, 30, 31, 32, 77],
+    320: [27, 28, 29, 30, 77],
+    330: [26, 27, 28, 29, 77],
+    340: [25, 26, 27, 28, 77],
+    350: [23, 24, 25, 26, 77],
+    360: [22, 23, 24, 77],
+    370: [20, 21, 22, 23, 77],
+    380: [19, 20, 21, 22, 77],
+    390: [18, 19, 20, 77],
+    400: [16, 17, 18, 19, 77],
+    410: [14, 15, 16, 17, 77],
+    420: [13, 14, 15, 16, 77],
+    430: [11, 12, 13, 14, 77],
+    440: [10, 11, 12, 13, 77],
+    450: [8, 9, 10, 11, 77],
+    460: [7, 8, 9, 10, 77],
+    470: [5, 6, 7, 8, 77],
+    480: [4, 5, 6, 77],
+    490: [4, 5]
+  },
+  500: {
+    0: [60, 61, 73, 74],
+    10: [59, 60, 61, 73, 74],
+    20: [58, 59, 60, 74],
+    30: [58, 59, 74],
+    40: [57, 58, 74],
+    50: [56, 57, 74],
+    60: [55, 56, 57, 74],
+    70: [54, 55, 56, 74, 75],
+    80: [53, 54, 55, 74, 75],
+    90: [53, 54, 75],
+    100: [52, 53, 75],
+    110: [51, 52, 53, 75],
+    120: [50, 51, 52, 75],
+    130: [49, 50, 51, 75],
+    140: [48, 49, 50, 75],
+    150: [47, 48, 49, 75],
+    160: [46, 47, 48, 75],
+    170: [45, 46, 47, 75],
+    180: [44, 45, 46, 75, 76],
+    190: [43, 44, 45, 76],
+    200: [42, 43, 44, 76],
+    210: [41, 42, 43, 76],
+    220: [40, 41, 42, 76],
+    230: [38, 39, 40, 41, 76],
+    240: [38, 39, 40, 76],
+    250: [36, 37, 38, 76],
+    260: [35, 36, 37, 76],
+    270: [34, 35, 36, 76],
+    280: [32, 33, 34, 35, 76],
+    290: [31, 32, 33, 34, 76],
+    300: [30, 31, 32, 76],
+    310: [28, 29, 30, 31, 76],
+    320: [27, 28, 29, 30, 76],
+    330: [26, 27, 28, 29, 76],
+    340: [24, 25, 26, 27, 76],
+    350: [23, 24, 25, 26, 76],
+    360: [22, 23, 24, 25, 77],
+    370: [20, 21, 22, 23, 77],
+    380: [19, 20, 21, 77],
+    390: [17, 18, 19, 20, 77],
+    400: [16, 17, 18, 19, 77],
+    410: [14, 15, 16, 17, 77],
+    420: [13, 14, 15, 16, 77],
+    430: [11, 12, 13, 14, 77],
+    440: [10, 11, 12, 13, 77],
+    450: [8, 9, 10, 11, 77],
+    460: [7, 8, 9, 77],
+    470: [5, 6, 7, 8, 77],
+    480: [4, 5, 6, 7, 77],
+    490: [4, 5],
+    500: [4]
+  },
+  510: {
+    0: [60, 61, 73],
+    10: [59, 60, 73],
+    20: [58, 59, 73, 74],
+    30: [57, 58, 59, 73, 74],
+    40: [56, 57, 58, 73, 74],
+    50: [56, 57, 74],
+    60: [55, 56, 74],
+    70: [54, 55, 74],
+    80: [53, 54, 55, 74],
+    90: [52, 53, 54, 74],
+    100: [51, 52, 53, 74],
+    110: [50, 51, 52, 74, 75],
+    120: [49, 50, 51, 74, 75],
+    130: [49, 50, 75],
+    140: [47, 48, 49, 75],
+    150: [47, 48, 75],
+    160: [46, 47, 75],
+    170: [45, 46, 47, 75],
+    180: [44, 45, 75],
+    190: [42, 43, 44, 45, 75],
+    200: [41, 42, 43, 75],
+    210: [40, 41, 42, 43, 75],
+    220: [39, 40, 41, 75],
+    230: [38, 39, 40, 75],
+    240: [37, 38, 39, 75, 76],
+    250: [36, 37, 38, 76],
+    260: [35, 36, 37, 76],
+    270: [33, 34, 35, 36, 76],
+    280: [32, 33, 34, 35, 76],
+    290: [31, 32, 33, 76],
+    300: [30, 31, 32, 76],
+    310: [29, 30, 31, 76],
+    320: [27, 28, 29, 76],
+    330: [26, 27, 28, 76],
+    340: [24, 25, 26, 27, 76],
+    350: [23, 24, 25, 26, 76],
+    360: [21, 22, 23, 24, 76],
+    370: [20, 21, 22, 23, 76],
+    380: [19, 20, 21, 22, 76],
+    390: [17, 18, 19, 20, 76],
+    400: [16, 17, 18, 19, 76],
+    410: [14, 15, 16, 17, 76],
+    420: [13, 14, 15, 76],
+    430: [11, 12, 13, 14, 76],
+    440: [10, 11, 12, 13, 76],
+    450: [8, 9, 10, 11, 76],
+    460: [7, 8, 9, 10, 77],
+    470: [6, 7, 8, 77],
+    480: [5, 6, 7, 77],
+    490: [4, 5]
+  },
+  520: {
+    0: [59, 60, 61, 72, 73],
+    10: [58, 59, 60, 72, 73],
+    20: [58, 59, 73],
+    30: [57, 58, 73],
+    40: [56, 57, 73],
+    50: [55, 56, 57, 73],
+    60: [54, 55, 56, 73, 74],
+    70: [53, 54, 55, 73, 74],
+    80: [53, 54, 74],
+    90: [52, 53, 74],
+    100: [51, 52, 74],
+    110: [50, 51, 52, 74],
+    120: [49, 50, 51, 74],
+    130: [48, 49, 50, 74],
+    140: [47, 48, 49, 74],
+    150: [46, 47, 48, 74, 75],
+    160: [45, 46, 47, 74, 75],
+    170: [44, 45, 46, 74, 75],
+    180: [43, 44, 45, 75],
+    190: [42, 43, 44, 75],
+    200: [41, 42, 43, 75],
+    210: [40, 41, 42, 75],
+    220: [39, 40, 41, 75],
+    230: [38, 39, 40, 75],
+    240: [37, 38, 39, 75],
+    250: [35, 36, 37, 38, 75],
+    260: [34, 35, 36, 37, 75],
+    270: [33, 34, 35, 75],
+    280: [32, 33, 34, 75],
+    290: [31, 32, 33, 75],
+    300: [29, 30, 31, 32, 75],
+    310: [28, 29, 30, 75, 76],
+    320: [27, 28, 29, 76],
+    330: [26, 27, 28, 76],
+    340: [24, 25, 26, 76],
+    350: [23, 24, 25, 76],
+    360: [21, 22, 23, 24, 76],
+    370: [20, 21, 22, 23, 76],
+    380: [19, 20, 21, 76],
+    390: [17, 18, 19, 20, 76],
+    400: [16, 17, 18, 76],
+    410: [14, 15, 16, 17, 76],
+    420: [13, 14, 15, 16, 76],
+    430: [12, 13, 14, 76],
+    440: [10, 11, 12, 13, 76],
+    450: [8, 9, 10, 11, 76],
+    460: [7, 8, 9, 76],
+    470: [5, 6, 7, 8, 76],
+    480: [5, 6, 7, 76],
+    490: [5, 76]
+  },
+  530: {
+    0: [59, 60, 72],
+    10: [58, 59, 60, 72],
+    20: [57, 58, 59, 72, 73],
+    30: [56, 57, 58, 72, 73],
+    40: [56, 57, 72, 73],
+    50: [55, 56, 73],
+    60: [54, 55, 73],
+    70: [53, 54, 55, 73],
+    80: [52, 53, 54, 73],
+    90: [51, 52, 53, 73, 74],
+    100: [50, 51, 52, 73, 74],
+    110: [49, 50, 51, 73, 74],
+    120: [49, 50, 74],
+    130: [48, 49, 74],
+    140: [47, 48, 74],
+    150: [46, 47, 74],
+    160: [45, 46, 47, 74],
+    170: [44, 45, 46, 74],
+    180: [43, 44, 45, 74],
+    190: [42, 43, 44, 74],
+    200: [41, 42, 43, 74],
+    210: [40, 41, 42, 74, 75],
+    220: [38, 39, 40, 75],
+    230: [37, 38, 39, 40, 75],
+    240: [36, 37, 38, 75],
+    250: [35, 36, 37, 75],
+    260: [34, 35, 36, 75],
+    270: [33, 34, 35, 75],
+    280: [32, 33, 34, 75],
+    290: [30, 31, 32, 33, 75],
+    300: [29, 30, 31, 75],
+    310: [28, 29, 30, 75],
+    320: [26, 27, 28, 29, 75],
+    330: [25, 26, 27, 28, 75],
+    340: [24, 25, 26, 75],
+    350: [23, 24, 25, 75],
+    360: [21, 22, 23, 24, 75],
+    370: [20, 21, 22, 75],
+    380: [18, 19, 20, 21, 75],
+    390: [17, 18, 19, 20, 75, 76],
+    400: [16, 17, 18, 76],
+    410: [14, 15, 16, 17, 76],
+    420: [13, 14, 15, 76],
+    430: [11, 12, 13, 14, 76],
+    440: [10, 11, 12, 13, 76],
+    450: [9, 10, 11, 76],
+    460: [7, 8, 9, 10, 76],
+    470: [6, 7, 8, 9, 76],
+    480: [5, 6, 7, 76],
+    490: [5, 6, 76]
+  },
+  540: {
+    0: [59, 60, 71, 72],
+    10: [58, 59, 71, 72],
+    20: [57, 58, 71, 72],
+    30: [56, 57, 72],
+    40: [55, 56, 57, 72],
+    50: [54, 55, 56, 72, 73],
+    60: [54, 55, 72, 73],
+    70: [53, 54, 72, 73],
+    80: [52, 53, 73],
+    90: [51, 52, 73],
+    100: [50, 51, 52, 73],
+    110: [49, 50, 51, 73],
+    120: [48, 49, 50, 73],
+    130: [47, 48, 49, 73],
+    140: [46, 47, 48, 73, 74],
+    150: [45, 46, 47, 73, 74],
+    160: [44, 45, 46, 74],
+    170: [43, 44, 45, 74],
+    180: [42, 43, 44, 74],
+    190: [41, 42, 43, 74],
+    200: [40, 41, 42, 74],
+    210: [39, 40, 41, 74],
+    220: [38, 39, 40, 74],
+    230: [37, 38, 39, 74],
+    240: [36, 37, 38, 74],
+    250: [35, 36, 37, 74],
+    260: [34, 35, 36, 74],
+    270: [33, 34, 35, 74, 75],
+    280: [31, 32, 33, 75],
+    290: [30, 31, 32, 75],
+    300: [29, 30, 31, 75],
+    310: [27, 28, 29, 30, 75],
+    320: [26, 27, 28, 29, 75],
+    330: [25, 26, 27, 28, 75],
+    340: [24, 25, 26, 75],
+    350: [22, 23, 24, 25, 75],
+    360: [21, 22, 23, 24, 75],
+    370: [20, 21, 22, 75],
+    380: [19, 20, 21, 75],
+    390: [17, 18, 19, 75],
+    400: [16, 17, 18, 75],
+    410: [14, 15, 16, 17, 75],
+    420: [13, 14, 15, 16, 75],
+    430: [12, 13, 14, 75],
+    440: [10, 11, 12, 13, 75],
+    450: [9, 10, 11, 75],
+    460: [7, 8, 9, 10, 75],
+    470: [6, 7, 8],
+    480: [5, 6, 7, 76],
+    490: [5, 6]
+  },
+  550: {
+    0: [58, 59, 60, 70, 71],
+    10: [57, 58, 59, 71],
+    20: [56, 57, 58, 71, 72],
+    30: [56, 57, 71, 72],
+    40: [55, 56, 71, 72],
+    50: [54, 55, 72],
+    60: [53, 54, 55, 72],
+    70: [52, 53, 54, 72],
+    80: [51, 52, 53, 72],
+    90: [51, 52, 72, 73],
+    100: [50, 51, 72, 73],
+    110: [49, 50, 73],
+    120: [48, 49, 73],
+    130: [47, 48, 49, 73],
+    140: [46, 47, 48, 73],
+    150: [45, 46, 47, 73],
+    160: [44, 45, 46, 73],
+    170: [43, 44, 45, 73],
+    180: [42, 43, 44, 73],
+    190: [41, 42, 43, 73, 74],
+    200: [40, 41, 42, 73, 74],
+    210: [39, 40, 41, 74],
+    220: [38, 39, 40, 74],
+    230: [37, 38, 39, 74],
+    240: [36, 37, 38, 74],
+    250: [35, 36, 37, 74],
+    260: [33, 34, 35, 36, 74],
+    270: [32, 33, 34, 74],
+    280: [31, 32, 33, 74],
+    290: [30, 31, 32, 74],
+    300: [29, 30, 31, 74],
+    310: [27, 28, 29, 30, 74],
+    320: [26, 27, 28, 29, 74],
+    330: [25, 26, 27, 74],
+    340: [24, 25, 26, 74, 75],
+    350: [23, 24, 25, 75],
+    360: [21, 22, 23, 75],
+    370: [20, 21, 22, 75],
+    380: [18, 19, 20, 21, 75],
+    390: [17, 18, 19, 20, 75],
+    400: [16, 17, 18, 75],
+    410: [15, 16, 17, 75],
+    420: [13, 14, 15, 75],
+    430: [12, 13, 14, 75],
+    440: [10, 11, 12, 13, 75],
+    450: [9, 10, 11, 12, 75],
+    460: [8, 9, 10, 75],
+    470: [6, 7, 8, 9, 75],
+    480: [6, 7, 8, 75],
+    490: [6]
+  },
+  560: {
+    0: [58, 59, 60, 70, 71],
+    10: [57, 58, 59, 70, 71],
+    20: [56, 57, 58, 70, 71],
+    30: [55, 56, 57, 71],
+    40: [55, 56, 71],
+    50: [54, 55, 71, 72],
+    60: [53, 54, 71, 72],
+    70: [52, 53, 71, 72],
+    80: [51, 52, 53, 72],
+    90: [50, 51, 52, 72],
+    100: [49, 50, 51, 72],
+    110: [48, 49, 50, 72],
+    120: [47, 48, 49, 72, 73],
+    130: [47, 48, 72, 73],
+    140: [46, 47, 72, 73],
+    150: [45, 46, 73],
+    160: [44, 45, 73],
+    170: [43, 44, 73],
+    180: [42, 43, 73],
+    190: [41, 42, 43, 73],
+    200: [40, 41, 73],
+    210: [38, 39, 40, 73],
+    220: [38, 39, 73],
+    230: [36, 37, 38, 73],
+    240: [35, 36, 37, 73, 74],
+    250: [34, 35, 36, 73, 74],
+    260: [33, 34, 35, 74],
+    270: [32, 33, 34, 74],
+    280: [31, 32, 33, 74],
+    290: [30, 31, 32, 74],
+    300: [29, 30, 31, 74],
+    310: [27, 28, 29, 74],
+    320: [26, 27, 28, 74],
+    330: [25, 26, 27, 74],
+    340: [24, 25, 26, 74],
+    350: [22, 23, 24, 74],
+    360: [21, 22, 23, 74],
+    370: [20, 21, 22, 74],
+    380: [19, 20, 21, 74],
+    390: [17, 18, 19, 74],
+    400: [16, 17, 18, 74],
+    410: [14, 15, 16, 17, 74],
+    420: [13, 14, 15, 16],
+    430: [12, 13, 14, 75],
+    440: [11, 12, 13, 75],
+    450: [9, 10, 11, 12, 75],
+    460: [8, 9, 10, 75],
+    470: [6, 7, 8, 9, 75],
+    480: [6, 7, 75],
+    490: [6]
+  },
+  570: {
+    0: [58, 59, 69, 70],
+    10: [57, 58, 70],
+    20: [56, 57, 70],
+    30: [55, 56, 57, 70, 71],
+    40: [54, 55, 56, 70, 71],
+    50: [53, 54, 55, 71],
+    60: [52, 53, 54, 71],
+    70: [52, 53, 71],
+    80: [51, 52, 71, 72],
+    90: [50, 51, 71, 72],
+    100: [49, 50, 71, 72],
+    110: [48, 49, 50, 72],
+    120: [47, 48, 49, 72],
+    130: [46, 47, 48, 72],
+    140: [45, 46, 47, 72],
+    150: [44, 45, 46, 72],
+    160: [43, 44, 45, 72],
+    170: [42, 43, 44, 72, 73],
+    180: [41, 42, 43, 72, 73],
+    190: [40, 41, 42, 73],
+    200: [39, 40, 41, 73],
+    210: [38, 39, 40, 73],
+    220: [37, 38, 39, 73],
+    230: [36, 37, 38, 73],
+    240: [35, 36, 37, 73],
+    250: [34, 35, 36, 73],
+    260: [33, 34, 35, 73],
+    270: [32, 33, 34, 73],
+    280: [31, 32, 33, 73],
+    290: [29, 30, 31, 32, 73],
+    300: [28, 29, 30, 73, 74],
+    310: [27, 28, 29, 73, 74],
+    320: [26, 27, 28, 74],
+    330: [25, 26, 27, 74],
+    340: [23, 24, 25, 26, 74],
+    350: [22, 23, 24, 25, 74],
+    360: [21, 22, 23, 74],
+    370: [20, 21, 22, 74],
+    380: [18, 19, 20, 21, 74],
+    390: [17, 18, 19, 74],
+    400: [16, 17, 18, 74],
+    410: [15, 16, 17, 74],
+    420: [13, 14, 15, 16, 74],
+    430: [12, 13, 14, 74],
+    440: [11, 12, 13, 74],
+    450: [9, 10, 11, 12, 74],
+    460: [8, 9, 10, 74],
+    470: [7, 8, 9, 74],
+    480: [6, 7, 8, 74],
+    490: [6, 7]
+  },
+  580: {
+    0: [57, 58, 59, 68, 69],
+    10: [57, 58, 69, 70],
+    20: [56, 57, 69, 70],
+    30: [55, 56, 70],
+    40: [54, 55, 70],
+    50: [53, 54, 55, 70, 71],
+    60: [52, 53, 54, 70, 71],
+    70: [51, 52, 53, 70, 71],
+    80: [50, 51, 52, 71],
+    90: [50, 51, 71],
+    100: [49, 50, 71],
+    110: [48, 49, 71],
+    120: [47, 48, 71, 72],
+    130: [46, 47, 48, 71, 72],
+    140: [45, 46, 47, 72],
+    150: [44, 45, 46, 72],
+    160: [43, 44, 45, 72],
+    170: [42, 43, 44, 72],
+    180: [41, 42, 43, 72],
+    190: [40, 41, 42, 72],
+    200: [39, 40, 41, 72],
+    210: [38, 39, 40, 72],
+    220: [37, 38, 39, 72, 73],
+    230: [36, 37, 38, 72, 73],
+    240: [35, 36, 37, 73],
+    250: [34, 35, 36, 73],
+    260: [33, 34, 35, 73],
+    270: [32, 33, 34, 73],
+    280: [30, 31, 32, 73],
+    290: [29, 30, 31, 73],
+    300: [28, 29, 30, 73],
+    310: [27, 28, 29, 73],
+    320: [26, 27, 28, 73],
+    330: [25, 26, 27, 73],
+    340: [24, 25, 26, 73],
+    350: [22, 23, 24, 73],
+    360: [21, 22, 23, 73],
+    370: [20, 21, 22, 74],
+    380: [19, 20, 21, 74],
+    390: [17, 18, 19, 20, 74],
+    400: [16, 17, 18, 74],
+    410: [15, 16, 17, 74],
+    420: [13, 14, 15, 16, 74],
+    430: [12, 13, 14, 74],
+    440: [11, 12, 13, 74],
+    450: [10, 11, 12, 74],
+    460: [8, 9, 10, 11, 74],
+    470: [7, 8, 9, 74],
+    480: [6, 7, 8, 74],
+    490: [6, 7, 74]
+  },
+  590: {
+    0: [57, 58, 59, 68, 69],
+    10: [56, 57, 58, 68, 69],
+    20: [55, 56, 57, 69],
+    30: [55, 56, 69, 70],
+    40: [54, 55, 69, 70],
+    50: [53, 54, 69, 70],
+    60: [52, 53, 70],
+    70: [51, 52, 53, 70],
+    80: [50, 51, 52, 70, 71],
+    90: [49, 50, 51, 70, 71],
+    100: [48, 49, 50, 70, 71],
+    110: [47, 48, 49, 71],
+    120: [46, 47, 48, 71],
+    130: [46, 47, 71],
+    140: [45, 46, 71],
+    150: [44, 45, 71],
+    160: [43, 44, 71, 72],
+    170: [42, 43, 71, 72],
+    180: [41, 42, 43, 72],
+    190: [40, 41, 42, 72],
+    200: [39, 40, 41, 72],
+    210: [38, 39, 40, 72],
+    220: [37, 38, 39, 72],
+    230: [36, 37, 72],
+    240: [35, 36, 37, 72],
+    250: [33, 34, 35, 72],
+    260: [33, 34, 72],
+    270: [31, 32, 33, 72, 73],
+    280: [30, 31, 32, 72, 73],
+    290: [29, 30, 31, 73],
+    300: [28, 29, 30, 73],
+    310: [27, 28, 29, 73],
+    320: [26, 27, 28, 73],
+    330: [24, 25, 26, 27, 73],
+    340: [23, 24, 25, 73],
+    350: [22, 23, 24, 73],
+    360: [21, 22, 23, 73],
+    370: [20, 21, 22, 73],
+    380: [18, 19, 20, 21, 73],
+    390: [17, 18, 19, 73],
+    400: [16, 17, 18, 73],
+    410: [15, 16, 17, 73],
+    420: [14, 15, 16, 73],
+    430: [12, 13, 14, 15, 73],
+    440: [11, 12, 13, 74],
+    450: [10, 11, 12, 74],
+    460: [8, 9, 10, 11, 74],
+    470: [7, 8, 9, 74],
+    480: [7, 8, 74],
+    490: [7, 74]
+  },
+  600: {
+    0: [57, 58, 59, 67, 68],
+    10: [56, 57, 58, 68, 69],
+    20: [55, 56, 57, 68, 69],
+    30: [54, 55, 56, 68, 69],
+    40: [53, 54, 55, 69],
+    50: [53, 54, 69, 70],
+    60: [52, 53, 69, 70],
+    70: [51, 52, 69, 70],
+    80: [50, 51, 70],
+    90: [49, 50, 70],
+    100: [48, 49, 50, 70],
+    110: [47, 48, 49, 70, 71],
+    120: [46, 47, 48, 70, 71],
+    130: [45, 46, 47, 70, 71],
+    140: [44, 45, 46, 71],
+    150: [43, 44, 45, 71],
+    160: [42, 43, 44, 71],
+    170: [42, 43, 71],
+    180: [40, 41, 42, 71],
+    190: [40, 41, 71],
+    200: [38, 39, 40, 71, 72],
+    210: [38, 39, 71, 72],
+    220: [36, 37, 38, 72],
+    230: [36, 37, 72],
+    240: [34, 35, 36, 72],
+    250: [33, 34, 35, 72],
+    260: [32, 33, 34, 72],
+    270: [31, 32, 33, 72],
+    280: [30, 31, 32, 72],
+    290: [29, 30, 31, 72],
+    300: [28, 29, 30, 72],
+    310: [27, 28, 29, 72],
+    320: [25, 26, 27, 28, 72],
+    330: [24, 25, 26, 72, 73],
+    340: [23, 24, 25, 73],
+    350: [22, 23, 24, 73],
+    360: [21, 22, 23, 73],
+    370: [20, 21, 22, 73],
+    380: [18, 19, 20, 21, 73],
+    390: [17, 18, 19, 20, 73],
+    400: [16, 17, 18, 73],
+    410: [15, 16, 17, 73],
+    420: [13, 14, 15, 16, 73],
+    430: [12, 13, 14, 15, 73],
+    440: [11, 12, 13, 73],
+    450: [10, 11, 12, 73],
+    460: [9, 10, 11, 73],
+    470: [8, 9, 10, 73],
+    480: [7, 8, 9, 73],
+    490: [7]
+  },
+  610: {
+    0: [57, 58, 59, 66, 67, 68],
+    10: [56, 57, 58, 67, 68],
+    20: [55, 56, 57, 67, 68],
+    30: [54, 55, 56, 68, 69],
+    40: [53, 54, 55, 68, 69],
+    50: [52, 53, 54, 68, 69],
+    60: [51, 52, 53, 69],
+    70: [51, 52, 69],
+    80: [50, 51, 69, 70],
+    90: [49, 50, 69, 70],
+    100: [48, 49, 69, 70],
+    110: [47, 48, 70],
+    120: [46, 47, 48, 70],
+    130: [45, 46, 47, 70],
+    140: [44, 45, 46, 70],
+    150: [43, 44, 45, 70, 71],
+    160: [42, 43, 44, 70, 71],
+    170: [41, 42, 43, 71],
+    180: [40, 41, 42, 71],
+    190: [39, 40, 41, 71],
+    200: [38, 39, 40, 71],
+    210: [37, 38, 39, 71],
+    220: [36, 37, 38, 71],
+    230: [35, 36, 37, 71],
+    240: [34, 35, 36, 71],
+    250: [33, 34, 35, 71, 72],
+    260: [32, 33, 34, 72],
+    270: [31, 32, 33, 72],
+    280: [30, 31, 32, 72],
+    290: [29, 30, 31, 72],
+    300: [28, 29, 30, 72],
+    310: [27, 28, 29, 72],
+    320: [25, 26, 27, 72],
+    330: [25, 26, 72],
+    340: [23, 24, 25, 72],
+    350: [22, 23, 24, 72],
+    360: [21, 22, 23, 72],
+    370: [20, 21, 22, 72],
+    380: [18, 19, 20, 21, 72],
+    390: [17, 18, 19, 72, 73],
+    400: [16, 17, 18, 72, 73],
+    410: [15, 16, 17, 73],
+    420: [14, 15, 16, 73],
+    430: [13, 14, 15, 73],
+    440: [11, 12, 13, 14, 73],
+    450: [10, 11, 12, 73],
+    460: [9, 10, 11, 73],
+    470: [8, 9, 10, 73],
+    480: [7, 8, 9, 73],
+    490: [7]
+  },
+  620: {
+    0: [57, 58, 59, 65, 66, 67],
+    10: [56, 57, 58, 66, 67],
+    20: [55, 56, 57, 67, 68],
+    30: [54, 55, 56, 67, 68],
+    40: [53, 54, 55, 67, 68],
+    50: [52, 53, 54, 68, 69],
+    60: [51, 52, 53, 68, 69],
+    70: [50, 51, 52, 68, 69],
+    80: [49, 50, 51, 69],
+    90: [48, 49, 50, 69],
+    100: [48, 49, 69],
+    110: [47, 48, 69, 70],
+    120: [46, 47, 69, 70],
+    130: [45, 46, 70],
+    140: [44, 45, 46, 70],
+    150: [43, 44, 45, 70],
+    160: [42, 43, 44, 70],
+    170: [41, 42, 43, 70],
+    180: [40, 41, 42, 70],
+    190: [39, 40, 41, 70, 71],
+    200: [38, 39, 40, 70, 71],
+    210: [37, 38, 39, 71],
+    220: [36, 37, 38, 71],
+    230: [35, 36, 37, 71],
+    240: [34, 35, 36, 71],
+    250: [33, 34, 35, 71],
+    260: [32, 33, 34, 71],
+    270: [31, 32, 33, 71],
+    280: [30, 31, 32, 71],
+    290: [29, 30, 31, 71],
+    300: [28, 29, 30, 71, 72],
+    310: [27, 28, 71, 72],
+    320: [25, 26, 27, 72],
+    330: [24, 25, 26, 72],
+    340: [23, 24, 25, 72],
+    350: [22, 23, 24, 72],
+    360: [21, 22, 23, 72],
+    370: [20, 21, 22, 72],
+    380: [18, 19, 20, 72],
+    390: [17, 18, 19, 72],
+    400: [16, 17, 18, 72],
+    410: [15, 16, 17, 72],
+    420: [14, 15, 16, 72],
+    430: [13, 14, 15, 72],
+    440: [11, 12, 13, 14, 72],
+    450: [10, 11, 12, 72],
+    460: [9, 10, 11, 72, 73],
+    470: [8, 9, 10, 72, 73],
+    480: [7, 8, 9, 73],
+    490: [7, 8]
+  },
+  630: {
+    0: [57, 58, 59, 64, 65, 66],
+    10: [56, 57, 58, 65, 66, 67],
+    20: [55, 56, 57, 66, 67],
+    30: [54, 55, 56, 66, 67],
+    40: [53, 54, 55, 67, 68],
+    50: [52, 53, 54, 67, 68],
+    60: [51, 52, 53, 67, 68],
+    70: [50, 51, 52, 68],
+    80: [49, 50, 51, 68, 69],
+    90: [48, 49, 50, 68, 69],
+    100: [47, 48, 49, 68, 69],
+    110: [47, 48, 69],
+    120: [46, 47, 69],
+    130: [45, 46, 69],
+    140: [44, 45, 69, 70],
+    150: [43, 44, 69, 70],
+    160: [42, 43, 69, 70],
+    170: [41, 42, 70],
+    180: [40, 41, 42, 70],
+    190: [39, 40, 41, 70],
+    200: [38, 39, 40, 70],
+    210: [37, 38, 39, 70],
+    220: [36, 37, 38, 70],
+    230: [35, 36, 37, 70, 71],
+    240: [34, 35, 36, 70, 71],
+    250: [33, 34, 35, 71],
+    260: [32, 33, 34, 71],
+    270: [31, 32, 71],
+    280: [30, 31, 32, 71],
+    290: [29, 30, 71],
+    300: [28, 29, 71],
+    310: [26, 27, 28, 71],
+    320: [25, 26, 27, 71],
+    330: [24, 25, 26, 71],
+    340: [23, 24, 25, 71],
+    350: [22, 23, 24, 71],
+    360: [21, 22, 23, 72],
+    370: [20, 21, 22, 72],
+    380: [19, 20, 21, 72],
+    390: [17, 18, 19, 20, 72],
+    400: [16, 17, 18, 72],
+    410: [15, 16, 17, 72],
+    420: [14, 15, 16, 72],
+    430: [13, 14, 15, 72],
+    440: [12, 13, 14, 72],
+    450: [11, 12, 13, 72],
+    460: [9, 10, 11, 72],
+    470: [8, 9, 10, 72],
+    480: [8, 9, 72],
+    490: [8, 72]
+  },
+  640: {
+    0: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    10: [56, 57, 58, 64, 65, 66],
+    20: [55, 56, 57, 65, 66, 67],
+    30: [54, 55, 56, 66, 67],
+    40: [53, 54, 66, 67],
+    50: [52, 53, 54, 67],
+    60: [51, 52, 67, 68],
+    70: [50, 51, 52, 67, 68],
+    80: [49, 50, 51, 67, 68],
+    90: [48, 49, 50, 68],
+    100: [47, 48, 49, 68],
+    110: [46, 47, 48, 68, 69],
+    120: [45, 46, 47, 68, 69],
+    130: [44, 45, 46, 69],
+    140: [43, 44, 45, 69],
+    150: [43, 44, 69],
+    160: [42, 43, 69],
+    170: [41, 42, 69],
+    180: [40, 41, 69, 70],
+    190: [39, 40, 69, 70],
+    200: [38, 39, 70],
+    210: [37, 38, 39, 70],
+    220: [36, 37, 70],
+    230: [35, 36, 37, 70],
+    240: [34, 35, 70],
+    250: [33, 34, 35, 70],
+    260: [32, 33, 70],
+    270: [31, 32, 33, 70, 71],
+    280: [30, 31, 70, 71],
+    290: [29, 30, 71],
+    300: [27, 28, 29, 71],
+    310: [26, 27, 28, 71],
+    320: [25, 26, 27, 71],
+    330: [24, 25, 26, 71],
+    340: [23, 24, 25, 71],
+    350: [22, 23, 24, 71],
+    360: [21, 22, 23, 71],
+    370: [20, 21, 22, 71],
+    380: [19, 20, 21, 71],
+    390: [18, 19, 71],
+    400: [16, 17, 18, 71],
+    410: [16, 17, 71],
+    420: [14, 15, 16, 71, 72],
+    430: [13, 14, 15, 72],
+    440: [12, 13, 14, 72],
+    450: [11, 12, 13, 72],
+    460: [10, 11, 12, 72],
+    470: [8, 9, 10, 11, 72],
+    480: [8, 9, 72],
+    490: [8, 72]
+  },
+  650: {
+    0: [57, 58, 59, 60, 61, 62, 63, 64, 65],
+    10: [56, 57, 58, 59, 63, 64, 65],
+    20: [55, 56, 57, 64, 65, 66],
+    30: [54, 55, 56, 65, 66],
+    40: [53, 54, 55, 65, 66, 67],
+    50: [52, 53, 66, 67],
+    60: [51, 52, 66, 67],
+    70: [50, 51, 67],
+    80: [49, 50, 51, 67, 68],
+    90: [48, 49, 50, 67, 68],
+    100: [47, 48, 49, 67, 68],
+    110: [46, 47, 48, 68],
+    120: [45, 46, 47, 68],
+    130: [44, 45, 46, 68],
+    140: [43, 44, 45, 68, 69],
+    150: [42, 43, 44, 68, 69],
+    160: [41, 42, 43, 69],
+    170: [41, 42, 69],
+    180: [40, 41, 69],
+    190: [39, 40, 69],
+    200: [38, 39, 69],
+    210: [37, 38, 69],
+    220: [36, 37, 69, 70],
+    230: [35, 36, 69, 70],
+    240: [34, 35, 70],
+    250: [33, 34, 70],
+    260: [32, 33, 70],
+    270: [31, 32, 70],
+    280: [30, 31, 70],
+    290: [28, 29, 30, 70],
+    300: [27, 28, 29, 70],
+    310: [27, 28, 70],
+    320: [25, 26, 27, 70],
+    330: [24, 25, 26, 70, 71],
+    340: [23, 24, 25, 70, 71],
+    350: [22, 23, 24, 71],
+    360: [21, 22, 23, 71],
+    370: [20, 21, 22, 71],
+    380: [19, 20, 21, 71],
+    390: [18, 19, 20, 71],
+    400: [16, 17, 18, 19, 71],
+    410: [15, 16, 17, 71],
+    420: [14, 15, 16, 71],
+    430: [13, 14, 15, 71],
+    440: [12, 13, 14, 71],
+    450: [11, 12, 13, 71],
+    460: [10, 11, 12, 71],
+    470: [9, 10, 11, 71],
+    480: [8, 9, 10, 71],
+    490: [8]
+  },
+  660: {
+    0: [57, 58, 59, 60, 61, 62, 63, 64],
+    10: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    20: [55, 56, 57, 63, 64, 65],
+    30: [54, 55, 56, 64, 65, 66],
+    40: [53, 54, 55, 65, 66],
+    50: [52, 53, 65, 66],
+    60: [51, 52, 66, 67],
+    70: [50, 51, 66, 67],
+    80: [49, 50, 66, 67],
+    90: [48, 49, 67],
+    100: [47, 48, 67],
+    110: [46, 47, 48, 67, 68],
+    120: [45, 46, 47, 67, 68],
+    130: [44, 45, 46, 67, 68],
+    140: [43, 44, 45, 68],
+    150: [42, 43, 44, 68],
+    160: [41, 42, 43, 68],
+    170: [40, 41, 42, 68, 69],
+    180: [39, 40, 41, 68, 69],
+    190: [38, 39, 40, 68, 69],
+    200: [38, 39, 69],
+    210: [36, 37, 38, 69],
+    220: [36, 37, 69],
+    230: [35, 36, 69],
+    240: [34, 35, 69],
+    250: [33, 34, 69],
+    260: [31, 32, 33, 69, 70],
+    270: [31, 32, 69, 70],
+    280: [29, 30, 31, 70],
+    290: [28, 29, 30, 70],
+    300: [28, 29, 70],
+    310: [26, 27, 28, 70],
+    320: [25, 26, 27, 70],
+    330: [24, 25, 26, 70],
+    340: [23, 24, 25, 70],
+    350: [22, 23, 24, 70],
+    360: [21, 22, 23, 70],
+    370: [20, 21, 22, 70],
+    380: [19, 20, 21, 70],
+    390: [18, 19, 20, 70, 71],
+    400: [17, 18, 71],
+    410: [16, 17, 71],
+    420: [15, 16, 71],
+    430: [13, 14, 15, 71],
+    440: [12, 13, 14, 71],
+    450: [11, 12, 13, 71],
+    460: [10, 11, 12, 71],
+    470: [9, 10, 11, 71],
+    480: [8, 9, 10, 71],
+    490: [8, 9, 71],
+    500: [8]
+  },
+  670: {
+    0: [57, 58, 59, 60, 61, 62, 63],
+    10: [56, 57, 58, 59, 60, 61, 62, 63, 64],
+    20: [55, 56, 57, 58, 62, 63, 64],
+    30: [54, 55, 56, 63, 64, 65],
+    40: [53, 54, 55, 64, 65],
+    50: [52, 53, 65, 66],
+    60: [51, 52, 65, 66],
+    70: [50, 51, 65, 66],
+    80: [49, 50, 66],
+    90: [48, 49, 66, 67],
+    100: [47, 48, 66, 67],
+    110: [46, 47, 67],
+    120: [45, 46, 67],
+    130: [44, 45, 46, 67],
+    140: [43, 44, 45, 67, 68],
+    150: [42, 43, 44, 67, 68],
+    160: [41, 42, 43, 68],
+    170: [40, 41, 42, 68],
+    180: [39, 40, 41, 68],
+    190: [38, 39, 40, 68],
+    200: [37, 38, 39, 68],
+    210: [36, 37, 38, 68, 69],
+    220: [36, 37, 68, 69],
+    230: [34, 35, 36, 69],
+    240: [34, 35, 69],
+    250: [32, 33, 34, 69],
+    260: [32, 33, 69],
+    270: [30, 31, 32, 69],
+    280: [29, 30, 31, 69],
+    290: [29, 30, 69],
+    300: [27, 28, 29, 69],
+    310: [26, 27, 28, 69, 70],
+    320: [25, 26, 27, 69, 70],
+    330: [24, 25, 26, 70],
+    340: [23, 24, 25, 70],
+    350: [22, 23, 24, 70],
+    360: [21, 22, 23, 70],
+    370: [20, 21, 22, 70],
+    380: [19, 20, 21, 70],
+    390: [18, 19, 20, 70],
+    400: [17, 18, 19, 70],
+    410: [16, 17, 18, 70],
+    420: [15, 16, 17, 70],
+    430: [13, 14, 15, 70],
+    440: [12, 13, 14, 70],
+    450: [11, 12, 13, 70, 71],
+    460: [10, 11, 12, 71],
+    470: [9, 10, 11, 71],
+    480: [8, 9, 10, 71],
+    490: [8, 9]
+  },
+  680: {
+    0: [58, 59, 60, 61, 62],
+    10: [56, 57, 58, 59, 60, 61, 62, 63],
+    20: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    30: [54, 55, 56, 62, 63, 64],
+    40: [53, 54, 55, 63, 64, 65],
+    50: [52, 53, 54, 64, 65],
+    60: [51, 52, 64, 65],
+    70: [50, 51, 65, 66],
+    80: [49, 50, 65, 66],
+    90: [48, 49, 65, 66],
+    100: [47, 48, 66],
+    110: [46, 47, 66, 67],
+    120: [45, 46, 66, 67],
+    130: [44, 45, 66, 67],
+    140: [43, 44, 45, 67],
+    150: [42, 43, 44, 67],
+    160: [41, 42, 43, 67],
+    170: [40, 41, 42, 67, 68],
+    180: [39, 40, 41, 67, 68],
+    190: [38, 39, 40, 68],
+    200: [37, 38, 39, 68],
+    210: [36, 37, 38, 68],
+    220: [35, 36, 37, 68],
+    230: [34, 35, 36, 68],
+    240: [33, 34, 35, 68],
+    250: [32, 33, 34, 68, 69],
+    260: [31, 32, 33, 68, 69],
+    270: [30, 31, 32, 69],
+    280: [30, 31, 69],
+    290: [28, 29, 30, 69],
+    300: [27, 28, 29, 69],
+    310: [26, 27, 28, 69],
+    320: [25, 26, 27, 69],
+    330: [24, 25, 26, 69],
+    340: [23, 24, 25, 69],
+    350: [22, 23, 24, 69],
+    360: [21, 22, 23, 69, 70],
+    370: [20, 21, 22, 69, 70],
+    380: [19, 20, 21, 70],
+    390: [18, 19, 20, 70],
+    400: [17, 18, 19, 70],
+    410: [16, 17, 70],
+    420: [15, 16, 17, 70],
+    430: [14, 15, 16, 70],
+    440: [13, 14, 15, 70],
+    450: [12, 13, 14, 70],
+    460: [10, 11, 12, 70],
+    470: [9, 10, 11, 70],
+    480: [9, 10, 70],
+    490: [9, 70]
+  },
+  690: {
+    0: [58, 59, 60, 61],
+    10: [56, 57, 58, 59, 60, 61, 62],
+    20: [55, 56, 57, 58, 59, 60, 61, 62, 63],
+    30: [54, 55, 56, 57, 60, 61, 62, 63, 64],
+    40: [53, 54, 55, 62, 63, 64],
+    50: [52, 53, 54, 63, 64],
+    60: [51, 52, 64, 65],
+    70: [50, 51, 64, 65],
+    80: [49, 50, 64, 65],
+    90: [48, 49, 65, 66],
+    100: [47, 48, 65, 66],
+    110: [46, 47, 65, 66],
+    120: [45, 46, 66],
+    130: [44, 45, 66],
+    140: [43, 44, 66, 67],
+    150: [42, 43, 44, 66, 67],
+    160: [41, 42, 43, 67],
+    170: [40, 41, 42, 67],
+    180: [39, 40, 41, 67],
+    190: [38, 39, 40, 67],
+    200: [37, 38, 39, 67, 68],
+    210: [36, 37, 38, 67, 68],
+    220: [35, 36, 37, 67, 68],
+    230: [34, 35, 36, 68],
+    240: [33, 34, 35, 68],
+    250: [32, 33, 34, 68],
+    260: [31, 32, 33, 68],
+    270: [31, 32, 68],
+    280: [29, 30, 31, 68],
+    290: [28, 29, 30, 68, 69],
+    300: [27, 28, 29, 68, 69],
+    310: [26, 27, 28, 69],
+    320: [25, 26, 27, 69],
+    330: [24, 25, 26, 69],
+    340: [23, 24, 25, 69],
+    350: [22, 23, 24, 69],
+    360: [21, 22, 23, 69],
+    370: [20, 21, 22, 69],
+    380: [19, 20, 21, 69],
+    390: [18, 19, 20, 69],
+    400: [17, 18, 19, 69],
+    410: [16, 17, 18, 69],
+    420: [15, 16, 17, 70],
+    430: [14, 15, 16, 70],
+    440: [13, 14, 15, 70],
+    450: [12, 13, 70],
+    460: [11, 12, 13, 70],
+    470: [10, 11, 12, 70],
+    480: [9, 10, 11, 70],
+    490: [9, 10, 70],
+    500: [70]
+  },
+  700: {
+    10: [57, 58, 59, 60, 61],
+    20: [55, 56, 57, 58, 59, 60, 61, 62],
+    30: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    40: [53, 54, 55, 56, 61, 62, 63],
+    50: [52, 53, 54, 62, 63, 64],
+    60: [51, 52, 53, 63, 64],
+    70: [50, 51, 63, 64],
+    80: [49, 50, 64, 65],
+    90: [48, 49, 64, 65],
+    100: [47, 48, 64, 65],
+    110: [46, 47, 65, 66],
+    120: [45, 46, 65, 66],
+    130: [44, 45, 65, 66],
+    140: [43, 44, 66],
+    150: [42, 43, 66],
+    160: [41, 42, 43, 66],
+    170: [40, 41, 42, 66, 67],
+    180: [39, 40, 41, 66, 67],
+    190: [38, 39, 40, 67],
+    200: [37, 38, 39, 67],
+    210: [36, 37, 38, 67],
+    220: [35, 36, 37, 67],
+    230: [34, 35, 36, 67],
+    240: [33, 34, 35, 67, 68],
+    250: [32, 33, 34, 67, 68],
+    260: [31, 32, 33, 68],
+    270: [30, 31, 32, 68],
+    280: [29, 30, 31, 68],
+    290: [29, 30, 68],
+    300: [27, 28, 29, 68],
+    310: [26, 27, 28, 68],
+    320: [25, 26, 27, 68],
+    330: [24, 25, 26, 68],
+    340: [23, 24, 25, 68, 69],
+    350: [23, 24, 69],
+    360: [21, 22, 23, 69],
+    370: [20, 21, 22, 69],
+    380: [19, 20, 21, 69],
+    390: [18, 19, 20, 69],
+    400: [17, 18, 19, 69],
+    410: [16, 17, 18, 69],
+    420: [15, 16, 17, 69],
+    430: [14, 15, 16, 69],
+    440: [13, 14, 15, 69],
+    450: [12, 13, 14, 69],
+    460: [11, 12, 13, 69],
+    470: [10, 11, 12, 69],
+    480: [9, 10, 11, 69, 70],
+    490: [9, 10, 70]
+  },
+  710: {
+    10: [58, 59],
+    20: [56, 57, 58, 59, 60, 61],
+    30: [54, 55, 56, 57, 58, 59, 60, 61, 62],
+    40: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    50: [52, 53, 54, 61, 62, 63],
+    60: [51, 52, 53, 62, 63],
+    70: [50, 51, 52, 62, 63, 64],
+    80: [49, 50, 63, 64],
+    90: [48, 49, 63, 64],
+    100: [47, 48, 64, 65],
+    110: [46, 47, 64, 65],
+    120: [45, 46, 64, 65],
+    130: [44, 45, 65],
+    140: [43, 44, 65, 66],
+    150: [42, 43, 65, 66],
+    160: [41, 42, 65, 66],
+    170: [40, 41, 42, 66],
+    180: [39, 40, 41, 66],
+    190: [38, 39, 40, 66],
+    200: [37, 38, 39, 66, 67],
+    210: [36, 37, 38, 66, 67],
+    220: [35, 36, 37, 66, 67],
+    230: [34, 35, 36, 67],
+    240: [33, 34, 35, 67],
+    250: [32, 33, 34, 67],
+    260: [31, 32, 33, 67],
+    270: [30, 31, 32, 67],
+    280: [30, 31, 67, 68],
+    290: [28, 29, 30, 67, 68],
+    300: [27, 28, 29, 68],
+    310: [27, 28, 68],
+    320: [25, 26, 27, 68],
+    330: [24, 25, 26, 68],
+    340: [24, 25, 68],
+    350: [22, 23, 24, 68],
+    360: [21, 22, 23, 68],
+    370: [20, 21, 22, 68],
+    380: [19, 20, 21, 68],
+    390: [18, 19, 20, 68, 69],
+    400: [17, 18, 19, 68, 69],
+    410: [16, 17, 18, 69],
+    420: [15, 16, 17, 69],
+    430: [14, 15, 16, 69],
+    440: [13, 14, 15, 69],
+    450: [12, 13, 14, 69],
+    460: [11, 12, 13, 69],
+    470: [10, 11, 12, 69],
+    480: [10, 11, 69],
+    490: [10, 69]
+  },
+  720: {
+    20: [56, 57, 58, 59, 60],
+    30: [55, 56, 57, 58, 59, 60, 61],
+    40: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    50: [52, 53, 54, 55, 59, 60, 61, 62],
+    60: [51, 52, 53, 61, 62, 63],
+    70: [50, 51, 52, 62, 63],
+    80: [49, 50, 51, 62, 63, 64],
+    90: [48, 49, 63, 64],
+    100: [47, 48, 63, 64],
+    110: [46, 47, 64],
+    120: [45, 46, 64, 65],
+    130: [44, 45, 64, 65],
+    140: [43, 44, 64, 65],
+    150: [42, 43, 65],
+    160: [41, 42, 65],
+    170: [40, 41, 42, 65, 66],
+    180: [39, 40, 41, 65, 66],
+    190: [38, 39, 40, 65, 66],
+    200: [37, 38, 39, 66],
+    210: [36, 37, 38, 66],
+    220: [35, 36, 37, 66],
+    230: [34, 35, 36, 66, 67],
+    240: [33, 34, 35, 66, 67],
+    250: [32, 33, 34, 66, 67],
+    260: [31, 32, 33, 67],
+    270: [30, 31, 32, 67],
+    280: [29, 30, 31, 67],
+    290: [28, 29, 30, 67],
+    300: [28, 29, 67],
+    310: [26, 27, 28, 67],
+    320: [26, 27, 67, 68],
+    330: [25, 26, 67, 68],
+    340: [23, 24, 25, 67, 68],
+    350: [23, 24, 68],
+    360: [22, 23, 68],
+    370: [21, 22, 68],
+    380: [19, 20, 21, 68],
+    390: [19, 20, 68],
+    400: [18, 19, 68],
+    410: [17, 18, 68],
+    420: [15, 16, 17, 68],
+    430: [14, 15, 16, 68],
+    440: [13, 14, 15, 68, 69],
+    450: [13, 14, 68, 69],
+    460: [12, 13, 69],
+    470: [11, 12, 69],
+    480: [10, 11, 69],
+    490: [10, 69]
+  },
+  730: {
+    30: [55, 56, 57, 58, 59, 60],
+    40: [53, 54, 55, 56, 57, 58, 59, 60, 61],
+    50: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    60: [51, 52, 53, 54, 60, 61, 62],
+    70: [50, 51, 52, 61, 62],
+    80: [49, 50, 51, 61, 62, 63],
+    90: [48, 49, 50, 62, 63],
+    100: [47, 48, 62, 63, 64],
+    110: [46, 47, 63, 64],
+    120: [45, 46, 63, 64],
+    130: [44, 45, 64],
+    140: [43, 44, 64, 65],
+    150: [42, 43, 64, 65],
+    160: [41, 42, 64, 65],
+    170: [40, 41, 42, 65],
+    180: [39, 40, 41, 65],
+    190: [38, 39, 40, 65],
+    200: [37, 38, 39, 65, 66],
+    210: [36, 37, 38, 65, 66],
+    220: [35, 36, 37, 66],
+    230: [34, 35, 36, 66],
+    240: [33, 34, 35, 66],
+    250: [32, 33, 34, 66],
+    260: [31, 32, 33, 66],
+    270: [30, 31, 32, 66, 67],
+    280: [29, 30, 31, 66, 67],
+    290: [29, 30, 66, 67],
+    300: [27, 28, 29, 67],
+    310: [27, 28, 67],
+    320: [26, 27, 67],
+    330: [25, 26, 67],
+    340: [24, 25, 67],
+    350: [23, 24, 67],
+    360: [22, 23, 67],
+    370: [21, 22, 67, 68],
+    380: [20, 21, 67, 68],
+    390: [19, 20, 68],
+    400: [18, 19, 68],
+    410: [17, 18, 68],
+    420: [16, 17, 68],
+    430: [15, 16, 68],
+    440: [14, 15, 68],
+    450: [13, 14, 68],
+    460: [12, 13, 68],
+    470: [11, 12, 68],
+    480: [10, 11, 68],
+    490: [10, 68]
+  },
+  740: {
+    30: [56, 57, 58],
+    40: [54, 55, 56, 57, 58, 59, 60],
+    50: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    60: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    70: [50, 51, 52, 53, 60, 61, 62],
+    80: [49, 50, 51, 61, 62],
+    90: [48, 49, 50, 61, 62, 63],
+    100: [47, 48, 49, 62, 63],
+    110: [46, 47, 48, 62, 63],
+    120: [45, 46, 47, 63, 64],
+    130: [44, 45, 63, 64],
+    140: [43, 44, 63, 64],
+    150: [42, 43, 63, 64],
+    160: [41, 42, 64],
+    170: [40, 41, 42, 64, 65],
+    180: [39, 40, 41, 64, 65],
+    190: [38, 39, 40, 64, 65],
+    200: [37, 38, 39, 65],
+    210: [36, 37, 38, 65],
+    220: [35, 36, 37, 65],
+    230: [34, 35, 36, 65, 66],
+    240: [33, 34, 35, 65, 66],
+    250: [32, 33, 34, 66],
+    260: [32, 33, 66],
+    270: [30, 31, 32, 66],
+    280: [30, 31, 66],
+    290: [29, 30, 66],
+    300: [28, 29, 66],
+    310: [27, 28, 66, 67],
+    320: [26, 27, 66, 67],
+    330: [25, 26, 67],
+    340: [24, 25, 67],
+    350: [23, 24, 67],
+    360: [22, 23, 67],
+    370: [21, 22, 67],
+    380: [20, 21, 67],
+    390: [19, 20, 21, 67],
+    400: [18, 19, 20, 67],
+    410: [17, 18, 67],
+    420: [16, 17, 18, 67, 68],
+    430: [15, 16, 17, 67, 68],
+    440: [14, 15, 16, 68],
+    450: [13, 14, 15, 68],
+    460: [12, 13, 68],
+    470: [11, 12, 13, 68],
+    480: [11, 12, 68],
+    490: [11, 68]
+  },
+  750: {
+    40: [55, 56, 57, 58],
+    50: [53, 54, 55, 56, 57, 58, 59, 60],
+    60: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    70: [50, 51, 52, 53, 54, 58, 59, 60, 61],
+    80: [49, 50, 51, 52, 59, 60, 61],
+    90: [48, 49, 50, 60, 61, 62],
+    100: [47, 48, 49, 61, 62],
+    110: [46, 47, 48, 61, 62, 63],
+    120: [45, 46, 47, 62, 63],
+    130: [44, 45, 46, 62, 63],
+    140: [43, 44, 45, 63],
+    150: [42, 43, 44, 63, 64],
+    160: [41, 42, 43, 63, 64],
+    170: [40, 41, 42, 63, 64],
+    180: [39, 40, 41, 64],
+    190: [38, 39, 40, 64],
+    200: [37, 38, 39, 64, 65],
+    210: [36, 37, 38, 64, 65],
+    220: [35, 36, 37, 64, 65],
+    230: [34, 35, 36, 65],
+    240: [33, 34, 35, 65],
+    250: [32, 33, 34, 65],
+    260: [31, 32, 33, 65, 66],
+    270: [31, 32, 65, 66],
+    280: [30, 31, 65, 66],
+    290: [29, 30, 66],
+    300: [28, 29, 66],
+    310: [27, 28, 66],
+    320: [26, 27, 66],
+    330: [25, 26, 66],
+    340: [24, 25, 66],
+    350: [23, 24, 25, 66, 67],
+    360: [22, 23, 66, 67],
+    370: [21, 22, 23, 67],
+    380: [20, 21, 22, 67],
+    390: [19, 20, 21, 67],
+    400: [18, 19, 20, 67],
+    410: [17, 18, 19, 67],
+    420: [16, 17, 18, 67],
+    430: [15, 16, 17, 67],
+    440: [14, 15, 16, 67],
+    450: [13, 14, 15, 67],
+    460: [12, 13, 14, 67],
+    470: [11, 12, 13, 67],
+    480: [11, 12, 67, 68],
+    490: [11]
+  },
+  760: {
+    40: [56],
+    50: [53, 54, 55, 56, 57, 58],
+    60: [52, 53, 54, 55, 56, 57, 58, 59],
+    70: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    80: [49, 50, 51, 52, 58, 59, 60, 61],
+    90: [48, 49, 50, 51, 59, 60, 61],
+    100: [47, 48, 49, 60, 61, 62],
+    110: [46, 47, 48, 61, 62],
+    120: [45, 46, 47, 61, 62],
+    130: [44, 45, 46, 62, 63],
+    140: [43, 44, 45, 62, 63],
+    150: [42, 43, 44, 62, 63],
+    160: [41, 42, 43, 63],
+    170: [40, 41, 42, 63, 64],
+    180: [39, 40, 41, 63, 64],
+    190: [38, 39, 40, 63, 64],
+    200: [37, 38, 39, 64],
+    210: [36, 37, 38, 64],
+    220: [35, 36, 37, 64],
+    230: [34, 35, 36, 64, 65],
+    240: [33, 34, 35, 64, 65],
+    250: [33, 34, 65],
+    260: [32, 33, 65],
+    270: [31, 32, 65],
+    280: [30, 31, 65],
+    290: [29, 30, 65],
+    300: [28, 29, 65, 66],
+    310: [27, 28, 65, 66],
+    320: [26, 27, 66],
+    330: [25, 26, 27, 66],
+    340: [24, 25, 26, 66],
+    350: [23, 24, 25, 66],
+    360: [22, 23, 24, 66],
+    370: [21, 22, 23, 66],
+    380: [20, 21, 22, 66],
+    390: [19, 20, 21, 66],
+    400: [18, 19, 20, 66, 67],
+    410: [17, 18, 19, 66, 67],
+    420: [16, 17, 18, 67],
+    430: [15, 16, 17, 67],
+    440: [15, 16, 67],
+    450: [13, 14, 15, 67],
+    460: [12, 13, 14, 67],
+    470: [11, 12, 13, 67],
+    480: [11, 12, 67],
+    490: [11]
+  },
+  770: {
+    50: [54, 55, 56, 57],
+    60: [52, 53, 54, 55, 56, 57, 58],
+    70: [51, 52, 53, 54, 55, 56, 57, 58, 59],
+    80: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    90: [48, 49, 50, 51, 58, 59, 60],
+    100: [47, 48, 49, 50, 59, 60, 61],
+    110: [46, 47, 48, 60, 61],
+    120: [45, 46, 47, 60, 61, 62],
+    130: [44, 45, 46, 61, 62],
+    140: [43, 44, 45, 61, 62],
+    150: [42, 43, 44, 62, 63],
+    160: [41, 42, 43, 62, 63],
+    170: [40, 41, 42, 62, 63],
+    180: [39, 40, 41, 63],
+    190: [38, 39, 40, 63],
+    200: [37, 38, 39, 63, 64],
+    210: [36, 37, 38, 63, 64],
+    220: [35, 36, 37, 63, 64],
+    230: [34, 35, 36, 64],
+    240: [34, 35, 64],
+    250: [33, 34, 64],
+    260: [32, 33, 64, 65],
+    270: [31, 32, 64, 65],
+    280: [30, 31, 64, 65],
+    290: [29, 30, 65],
+    300: [28, 29, 65],
+    310: [27, 28, 29, 65],
+    320: [26, 27, 28, 65],
+    330: [25, 26, 27, 65],
+    340: [24, 25, 26, 65],
+    350: [23, 24, 25, 65, 66],
+    360: [22, 23, 24, 65, 66],
+    370: [21, 22, 23, 66],
+    380: [20, 21, 22, 66],
+    390: [19, 20, 21, 66],
+    400: [18, 19, 20, 66],
+    410: [18, 19, 66],
+    420: [17, 18, 66],
+    430: [16, 17, 66],
+    440: [15, 16, 66],
+    450: [14, 15, 66],
+    460: [13, 14, 66, 67],
+    470: [12, 13, 67],
+    480: [11, 12, 67],
+    490: [11, 12]
+  },
+  780: {
+    60: [53, 54, 55, 56, 57],
+    70: [51, 52, 53, 54, 55, 56, 57, 58],
+    80: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    90: [48, 49, 50, 51, 52, 57, 58, 59, 60],
+    100: [47, 48, 49, 50, 58, 59, 60],
+    110: [46, 47, 48, 49, 59, 60, 61],
+    120: [45, 46, 47, 60, 61],
+    130: [44, 45, 46, 60, 61],
+    140: [43, 44, 45, 61, 62],
+    150: [42, 43, 44, 61, 62],
+    160: [41, 42, 43, 61, 62],
+    170: [40, 41, 42, 62],
+    180: [39, 40, 41, 62, 63],
+    190: [38, 39, 40, 62, 63],
+    200: [37, 38, 39, 62, 63],
+    210: [36, 37, 38, 63],
+    220: [36, 37, 63],
+    230: [35, 36, 63, 64],
+    240: [34, 35, 63, 64],
+    250: [33, 34, 63, 64],
+    260: [32, 33, 64],
+    270: [31, 32, 64],
+    280: [30, 31, 64],
+    290: [29, 30, 64],
+    300: [28, 29, 30, 64, 65],
+    310: [27, 28, 29, 64, 65],
+    320: [26, 27, 28, 65],
+    330: [25, 26, 27, 65],
+    340: [24, 25, 26, 65],
+    350: [23, 24, 25, 65],
+    360: [22, 23, 24, 65],
+    370: [21, 22, 23, 65],
+    380: [20, 21, 22, 65],
+    390: [20, 21, 65, 66],
+    400: [19, 20, 65, 66],
+    410: [18, 19, 66],
+    420: [17, 18, 66],
+    430: [16, 17, 66],
+    440: [15, 16, 66],
+    450: [14, 15, 66],
+    460: [13, 14, 15, 66],
+    470: [12, 13, 14, 66],
+    480: [12, 13, 66],
+    490: [12, 66]
+  },
+  790: {
+    70: [52, 53, 54, 55, 56, 57],
+    80: [50, 51, 52, 53, 54, 55, 56, 57, 58],
+    90: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    100: [48, 49, 50, 51, 57, 58, 59],
+    110: [47, 48, 49, 58, 59, 60],
+    120: [45, 46, 47, 48, 59, 60],
+    130: [44, 45, 46, 59, 60, 61],
+    140: [43, 44, 45, 60, 61],
+    150: [42, 43, 44, 60, 61],
+    160: [41, 42, 43, 61, 62],
+    170: [40, 41, 42, 61, 62],
+    180: [39, 40, 41, 61, 62],
+    190: [38, 39, 40, 62],
+    200: [37, 38, 39, 62, 63],
+    210: [36, 37, 38, 62, 63],
+    220: [36, 37, 62, 63],
+    230: [35, 36, 63],
+    240: [34, 35, 63],
+    250: [33, 34, 63],
+    260: [32, 33, 63, 64],
+    270: [31, 32, 63, 64],
+    280: [30, 31, 32, 63, 64],
+    290: [29, 30, 31, 64],
+    300: [28, 29, 30, 64],
+    310: [27, 28, 29, 64],
+    320: [26, 27, 28, 64],
+    330: [25, 26, 27, 64, 65],
+    340: [24, 25, 26, 64, 65],
+    350: [24, 25, 64, 65],
+    360: [23, 24, 65],
+    370: [22, 23, 65],
+    380: [21, 22, 65],
+    390: [20, 21, 65],
+    400: [19, 20, 65],
+    410: [18, 19, 20, 65],
+    420: [17, 18, 19, 65],
+    430: [16, 17, 65, 66],
+    440: [15, 16, 17, 65, 66],
+    450: [14, 15, 16, 66],
+    460: [13, 14, 15, 66],
+    470: [12, 13, 14, 66],
+    480: [12, 13, 66],
+    490: [12, 66],
+    500: [66]
+  },
+  800: {
+    70: [53, 54, 55],
+    80: [51, 52, 53, 54, 55, 56, 57],
+    90: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    100: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    110: [47, 48, 49, 50, 56, 57, 58, 59],
+    120: [46, 47, 48, 58, 59, 60],
+    130: [44, 45, 46, 47, 58, 59, 60],
+    140: [43, 44, 45, 46, 59, 60],
+    150: [42, 43, 44, 59, 60, 61],
+    160: [41, 42, 43, 60, 61],
+    170: [40, 41, 42, 60, 61],
+    180: [39, 40, 41, 61, 62],
+    190: [39, 40, 61, 62],
+    200: [38, 39, 61, 62],
+    210: [37, 38, 62],
+    220: [36, 37, 62],
+    230: [35, 36, 62, 63],
+    240: [34, 35, 62, 63],
+    250: [33, 34, 62, 63],
+    260: [32, 33, 34, 63],
+    270: [31, 32, 33, 63],
+    280: [30, 31, 32, 63],
+    290: [29, 30, 31, 63, 64],
+    300: [28, 29, 30, 63, 64],
+    310: [27, 28, 29, 63, 64],
+    320: [27, 28, 64],
+    330: [25, 26, 27, 64],
+    340: [25, 26, 64],
+    350: [24, 25, 64],
+    360: [23, 24, 64],
+    370: [22, 23, 64, 65],
+    380: [21, 22, 64, 65],
+    390: [20, 21, 22, 64, 65],
+    400: [19, 20, 21, 65],
+    410: [18, 19, 20, 65],
+    420: [17, 18, 19, 65],
+    430: [16, 17, 18, 65],
+    440: [15, 16, 17, 65],
+    450: [14, 15, 16, 65],
+    460: [14, 15, 65],
+    470: [13, 14, 65],
+    480: [12, 13, 65, 66],
+    490: [12, 65, 66],
+    500: [12]
+  },
+  810: {
+    80: [52, 53, 54, 55],
+    90: [50, 51, 52, 53, 54, 55, 56, 57],
+    100: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    110: [47, 48, 49, 50, 51, 52, 54, 55, 56, 57, 58],
+    120: [46, 47, 48, 49, 56, 57, 58, 59],
+    130: [45, 46, 47, 57, 58, 59],
+    140: [44, 45, 46, 58, 59, 60],
+    150: [43, 44, 45, 59, 60],
+    160: [42, 43, 44, 59, 60],
+    170: [41, 42, 60, 61],
+    180: [40, 41, 60, 61],
+    190: [39, 40, 60, 61],
+    200: [38, 39, 61],
+    210: [37, 38, 61, 62],
+    220: [36, 37, 61, 62],
+    230: [35, 36, 37, 61, 62],
+    240: [34, 35, 36, 62],
+    250: [33, 34, 35, 62],
+    260: [32, 33, 34, 62, 63],
+    270: [31, 32, 33, 62, 63],
+    280: [30, 31, 32, 62, 63],
+    290: [29, 30, 31, 63],
+    300: [28, 29, 30, 63],
+    310: [28, 29, 63],
+    320: [27, 28, 63],
+    330: [26, 27, 63, 64],
+    340: [25, 26, 63, 64],
+    350: [24, 25, 63, 64],
+    360: [23, 24, 25, 64],
+    370: [22, 23, 24, 64],
+    380: [21, 22, 23, 64],
+    390: [20, 21, 22, 64],
+    400: [19, 20, 21, 64],
+    410: [18, 19, 20, 64],
+    420: [17, 18, 19, 64, 65],
+    430: [17, 18, 64, 65],
+    440: [16, 17, 65],
+    450: [15, 16, 65],
+    460: [14, 15, 65],
+    470: [13, 14, 65],
+    480: [12, 13, 14, 65],
+    490: [12, 13, 65]
+  },
+  820: {
+    90: [51, 52, 53, 54, 55],
+    100: [49, 50, 51, 52, 53, 54, 55, 56, 57],
+    110: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    120: [46, 47, 48, 49, 50, 55, 56, 57, 58],
+    130: [45, 46, 47, 48, 56, 57, 58],
+    140: [44, 45, 46, 57, 58, 59],
+    150: [43, 44, 45, 58, 59],
+    160: [42, 43, 44, 58, 59, 60],
+    170: [41, 42, 43, 59, 60],
+    180: [40, 41, 42, 59, 60],
+    190: [39, 40, 41, 60, 61],
+    200: [38, 39, 40, 60, 61],
+    210: [37, 38, 39, 60, 61],
+    220: [36, 37, 38, 61],
+    230: [35, 36, 37, 61],
+    240: [34, 35, 36, 61, 62],
+    250: [33, 34, 35, 61, 62],
+    260: [32, 33, 34, 61, 62],
+    270: [31, 32, 33, 62],
+    280: [30, 31, 32, 62],
+    290: [30, 31, 62, 63],
+    300: [29, 30, 62, 63],
+    310: [28, 29, 62, 63],
+    320: [27, 28, 63],
+    330: [26, 27, 63],
+    340: [25, 26, 63],
+    350: [24, 25, 26, 63],
+    360: [23, 24, 25, 63],
+    370: [22, 23, 24, 63, 64],
+    380: [21, 22, 23, 63, 64],
+    390: [20, 21, 22, 64],
+    400: [20, 21, 64],
+    410: [19, 20, 64],
+    420: [18, 19, 64],
+    430: [17, 18, 64],
+    440: [16, 17, 64],
+    450: [15, 16, 17, 64],
+    460: [14, 15, 16, 64],
+    470: [13, 14, 15, 64, 65],
+    480: [13, 14, 65],
+    490: [13, 65]
+  },
+  830: {
+    90: [53],
+    100: [50, 51, 52, 53, 54, 55],
+    110: [48, 49, 50, 51, 52, 53, 54, 55, 56],
+    120: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    130: [45, 46, 47, 48, 49, 55, 56, 57, 58],
+    140: [44, 45, 46, 47, 56, 57, 58],
+    150: [43, 44, 45, 46, 57, 58, 59],
+    160: [42, 43, 44, 58, 59],
+    170: [41, 42, 43, 58, 59],
+    180: [40, 41, 42, 59, 60],
+    190: [39, 40, 41, 59, 60],
+    200: [38, 39, 40, 59, 60],
+    210: [37, 38, 39, 60],
+    220: [36, 37, 38, 60, 61],
+    230: [35, 36, 37, 60, 61],
+    240: [34, 35, 36, 60, 61],
+    250: [33, 34, 35, 61],
+    260: [32, 33, 34, 61, 62],
+    270: [31, 32, 33, 61, 62],
+    280: [31, 32, 61, 62],
+    290: [30, 31, 62],
+    300: [29, 30, 62],
+    310: [28, 29, 62],
+    320: [27, 28, 62],
+    330: [26, 27, 28, 62, 63],
+    340: [25, 26, 27, 62, 63],
+    350: [24, 25, 26, 62, 63],
+    360: [23, 24, 25, 63],
+    370: [22, 23, 24, 63],
+    380: [22, 23, 63],
+    390: [21, 22, 63],
+    400: [20, 21, 63],
+    410: [19, 20, 63, 64],
+    420: [18, 19, 63, 64],
+    430: [17, 18, 64],
+    440: [16, 17, 18, 64],
+    450: [15, 16, 17, 64],
+    460: [14, 15, 16, 64],
+    470: [14, 15, 64],
+    480: [13, 14, 64],
+    490: [13, 64]
+  },
+  840: {
+    100: [51, 52, 53],
+    110: [49, 50, 51, 52, 53, 54, 55],
+    120: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    130: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    140: [45, 46, 47, 48, 55, 56, 57],
+    150: [43, 44, 45, 46, 56, 57, 58],
+    160: [42, 43, 44, 45, 57, 58],
+    170: [41, 42, 43, 44, 57, 58, 59],
+    180: [40, 41, 42, 58, 59],
+    190: [39, 40, 41, 58, 59],
+    200: [38, 39, 40, 59, 60],
+    210: [37, 38, 39, 59, 60],
+    220: [36, 37, 38, 59, 60],
+    230: [36, 37, 60],
+    240: [34, 35, 36, 60, 61],
+    250: [34, 35, 60, 61],
+    260: [33, 34, 60, 61],
+    270: [32, 33, 61],
+    280: [31, 32, 61],
+    290: [30, 31, 61, 62],
+    300: [29, 30, 31, 61, 62],
+    310: [28, 29, 30, 61, 62],
+    320: [27, 28, 29, 62],
+    330: [26, 27, 28, 62],
+    340: [25, 26, 27, 62],
+    350: [25, 26, 62],
+    360: [24, 25, 62, 63],
+    370: [23, 24, 62, 63],
+    380: [22, 23, 62, 63],
+    390: [21, 22, 63],
+    400: [20, 21, 22, 63],
+    410: [19, 20, 21, 63],
+    420: [18, 19, 20, 63],
+    430: [17, 18, 19, 63],
+    440: [16, 17, 18, 63],
+    450: [16, 17, 63, 64],
+    460: [15, 16, 63, 64],
+    470: [14, 15, 63, 64],
+    480: [13, 14, 64],
+    490: [13, 14, 64]
+  },
+  850: {
+    110: [50, 51, 52, 53],
+    120: [48, 49, 50, 51, 52, 53, 54, 55],
+    130: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    140: [45, 46, 47, 48, 49, 50, 52, 53, 54, 55, 56],
+    150: [44, 45, 46, 47, 54, 55, 56, 57],
+    160: [43, 44, 45, 55, 56, 57, 58],
+    170: [42, 43, 44, 56, 57, 58],
+    180: [41, 42, 43, 57, 58],
+    190: [40, 41, 42, 57, 58, 59],
+    200: [39, 40, 58, 59],
+    210: [38, 39, 58, 59],
+    220: [37, 38, 59],
+    230: [36, 37, 59, 60],
+    240: [35, 36, 59, 60],
+    250: [34, 35, 59, 60],
+    260: [33, 34, 60],
+    270: [32, 33, 34, 60, 61],
+    280: [31, 32, 33, 60, 61],
+    290: [30, 31, 32, 60, 61],
+    300: [29, 30, 31, 61],
+    310: [28, 29, 30, 61],
+    320: [27, 28, 29, 61],
+    330: [26, 27, 28, 61, 62],
+    340: [26, 27, 61, 62],
+    350: [25, 26, 61, 62],
+    360: [24, 25, 62],
+    370: [23, 24, 62],
+    380: [22, 23, 62],
+    390: [21, 22, 23, 62],
+    400: [20, 21, 22, 62, 63],
+    410: [19, 20, 21, 62, 63],
+    420: [18, 19, 20, 63],
+    430: [18, 19, 63],
+    440: [17, 18, 63],
+    450: [16, 17, 63],
+    460: [15, 16, 63],
+    470: [14, 15, 16, 63],
+    480: [14, 15, 63],
+    490: [14, 63]
+  },
+  860: {
+    120: [49, 50, 51, 52, 53],
+    130: [47, 48, 49, 50, 51, 52, 53, 54, 55],
+    140: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    150: [44, 45, 46, 47, 48, 49, 52, 53, 54, 55, 56],
+    160: [43, 44, 45, 46, 54, 55, 56, 57],
+    170: [42, 43, 44, 45, 55, 56, 57],
+    180: [41, 42, 43, 56, 57, 58],
+    190: [40, 41, 42, 57, 58],
+    200: [39, 40, 41, 57, 58],
+    210: [38, 39, 40, 57, 58, 59],
+    220: [37, 38, 39, 58, 59],
+    230: [36, 37, 38, 58, 59],
+    240: [35, 36, 37, 59],
+    250: [34, 35, 36, 59, 60],
+    260: [33, 34, 35, 59, 60],
+    270: [32, 33, 34, 59, 60],
+    280: [31, 32, 33, 60],
+    290: [30, 31, 32, 60],
+    300: [29, 30, 31, 60, 61],
+    310: [29, 30, 60, 61],
+    320: [28, 29, 61],
+    330: [27, 28, 61],
+    340: [26, 27, 61],
+    350: [25, 26, 61],
+    360: [24, 25, 26, 61, 62],
+    370: [23, 24, 25, 61, 62],
+    380: [22, 23, 24, 61, 62],
+    390: [21, 22, 23, 62],
+    400: [21, 22, 62],
+    410: [20, 21, 62],
+    420: [19, 20, 62],
+    430: [18, 19, 62],
+    440: [17, 18, 62, 63],
+    450: [16, 17, 18, 62, 63],
+    460: [15, 16, 17, 63],
+    470: [15, 16, 63],
+    480: [14, 15, 63],
+    490: [14, 63]
+  },
+  870: {
+    130: [48, 49, 50, 51, 52, 53],
+    140: [46, 47, 48, 49, 50, 51, 52, 53, 54],
+    150: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    160: [44, 45, 46, 47, 48, 52, 53, 54, 55, 56],
+    170: [42, 43, 44, 45, 54, 55, 56],
+    180: [41, 42, 43, 44, 55, 56, 57],
+    190: [40, 41, 42, 43, 56, 57],
+    200: [39, 40, 41, 56, 57, 58],
+    210: [38, 39, 40, 57, 58],
+    220: [37, 38, 39, 57, 58],
+    230: [36, 37, 38, 58, 59],
+    240: [35, 36, 37, 58, 59],
+    250: [34, 35, 36, 58, 59],
+    260: [33, 34, 35, 58, 59],
+    270: [32, 33, 34, 59, 60],
+    280: [31, 32, 33, 59, 60],
+    290: [31, 32, 59, 60],
+    300: [30, 31, 60],
+    310: [29, 30, 60],
+    320: [28, 29, 60],
+    330: [27, 28, 60, 61],
+    340: [26, 27, 28, 60, 61],
+    350: [25, 26, 27, 60, 61],
+    360: [24, 25, 26, 61],
+    370: [23, 24, 25, 61],
+    380: [23, 24, 61],
+    390: [22, 23, 61],
+    400: [21, 22, 61, 62],
+    410: [20, 21, 61, 62],
+    420: [19, 20, 21, 62],
+    430: [18, 19, 20, 62],
+    440: [17, 18, 19, 62],
+    450: [16, 17, 18, 62],
+    460: [16, 17, 62],
+    470: [15, 16, 62],
+    480: [14, 15, 62, 63],
+    490: [14, 15, 62]
+  },
+  880: {
+    130: [50, 51],
+    140: [47, 48, 49, 50, 51, 52, 53],
+    150: [46, 47, 48, 49, 50, 51, 52, 53, 54],
+    160: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    170: [43, 44, 45, 46, 47, 52, 53, 54, 55, 56],
+    180: [42, 43, 44, 45, 54, 55, 56],
+    190: [41, 42, 43, 55, 56],
+    200: [40, 41, 42, 55, 56, 57],
+    210: [38, 39, 40, 41, 56, 57],
+    220: [38, 39, 56, 57, 58],
+    230: [36, 37, 38, 57, 58],
+    240: [35, 36, 37, 57, 58],
+    250: [34, 35, 36, 58],
+    260: [34, 35, 58, 59],
+    270: [33, 34, 58, 59],
+    280: [32, 33, 58, 59],
+    290: [31, 32, 59],
+    300: [30, 31, 32, 59],
+    310: [29, 30, 59, 60],
+    320: [28, 29, 30, 59, 60],
+    330: [27, 28, 29, 60],
+    340: [26, 27, 28, 60],
+    350: [25, 26, 27, 60],
+    360: [25, 26, 60, 61],
+    370: [24, 25, 60, 61],
+    380: [23, 24, 60, 61],
+    390: [22, 23, 61],
+    400: [21, 22, 61],
+    410: [20, 21, 22, 61],
+    420: [19, 20, 21, 61],
+    430: [18, 19, 20, 61],
+    440: [18, 19, 61, 62],
+    450: [17, 18, 61, 62],
+    460: [16, 17, 62],
+    470: [15, 16, 62],
+    480: [15, 16, 62],
+    490: [15, 62]
+  },
+  890: {
+    140: [49, 50, 51],
+    150: [46, 47, 48, 49, 50, 51, 52, 53],
+    160: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    170: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    180: [42, 43, 44, 45, 46, 52, 53, 54, 55],
+    190: [41, 42, 43, 44, 53, 54, 55, 56],
+    200: [40, 41, 42, 54, 55, 56],
+    210: [39, 40, 41, 55, 56, 57],
+    220: [38, 39, 40, 56, 57],
+    230: [37, 38, 39, 56, 57],
+    240: [36, 37, 38, 56, 57, 58],
+    250: [35, 36, 37, 57, 58],
+    260: [34, 35, 36, 57, 58],
+    270: [33, 34, 35, 57, 58],
+    280: [32, 33, 34, 58, 59],
+    290: [31, 32, 33, 58, 59],
+    300: [30, 31, 32, 58, 59],
+    310: [29, 30, 31, 59],
+    320: [28, 29, 30, 59],
+    330: [28, 29, 59, 60],
+    340: [27, 28, 59, 60],
+    350: [26, 27, 59, 60],
+    360: [25, 26, 60],
+    370: [24, 25, 60],
+    380: [23, 24, 25, 60],
+    390: [22, 23, 24, 60, 61],
+    400: [21, 22, 23, 60, 61],
+    410: [21, 22, 60, 61],
+    420: [20, 21, 61],
+    430: [19, 20, 61],
+    440: [18, 19, 61],
+    450: [17, 18, 19, 61],
+    460: [16, 17, 18, 61],
+    470: [15, 16, 17, 61],
+    480: [15, 16, 61, 62],
+    490: [15]
+  },
+  900: {
+    150: [48, 49, 50, 51],
+    160: [46, 47, 48, 49, 50, 51, 52, 53],
+    170: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    180: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    190: [42, 43, 44, 45, 52, 53, 54, 55],
+    200: [40, 41, 42, 43, 53, 54, 55],
+    210: [39, 40, 41, 42, 54, 55, 56],
+    220: [38, 39, 40, 55, 56],
+    230: [37, 38, 39, 55, 56, 57],
+    240: [36, 37, 38, 56, 57],
+    250: [35, 36, 37, 56, 57],
+    260: [34, 35, 36, 56, 57],
+    270: [33, 34, 35, 57, 58],
+    280: [32, 33, 34, 57, 58],
+    290: [31, 32, 33, 57, 58],
+    300: [30, 31, 32, 58],
+    310: [30, 31, 58, 59],
+    320: [29, 30, 58, 59],
+    330: [28, 29, 58, 59],
+    340: [27, 28, 59],
+    350: [26, 27, 59],
+    360: [25, 26, 27, 59, 60],
+    370: [24, 25, 26, 59, 60],
+    380: [23, 24, 25, 59, 60],
+    390: [23, 24, 60],
+    400: [22, 23, 60],
+    410: [21, 22, 60],
+    420: [20, 21, 60],
+    430: [19, 20, 21, 60, 61],
+    440: [18, 19, 20, 60, 61],
+    450: [17, 18, 19, 60, 61],
+    460: [17, 18, 61],
+    470: [16, 17, 61],
+    480: [15, 16, 61],
+    490: [61]
+  },
+  910: {
+    160: [47, 48, 49, 50, 51],
+    170: [45, 46, 47, 48, 49, 50, 51, 52],
+    180: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    190: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    200: [41, 42, 43, 44, 52, 53, 54],
+    210: [40, 41, 42, 53, 54, 55],
+    220: [39, 40, 41, 54, 55],
+    230: [37, 38, 39, 40, 54, 55, 56],
+    240: [36, 37, 38, 39, 55, 56],
+    250: [36, 37, 38, 55, 56],
+    260: [35, 36, 56, 57],
+    270: [34, 35, 56, 57],
+    280: [33, 34, 56, 57],
+    290: [32, 33, 57, 58],
+    300: [31, 32, 57, 58],
+    310: [30, 31, 32, 57, 58],
+    320: [29, 30, 31, 58],
+    330: [28, 29, 30, 58],
+    340: [27, 28, 29, 58, 59],
+    350: [26, 27, 28, 58, 59],
+    360: [25, 26, 27, 58, 59],
+    370: [25, 26, 59],
+    380: [24, 25, 59],
+    390: [23, 24, 59],
+    400: [22, 23, 59, 60],
+    410: [21, 22, 23, 59, 60],
+    420: [20, 21, 22, 60],
+    430: [20, 21, 60],
+    440: [19, 20, 60],
+    450: [18, 19, 60],
+    460: [17, 18, 60],
+    470: [16, 17, 18, 60, 61],
+    480: [16, 17, 60, 61],
+    490: [16]
+  },
+  920: {
+    170: [46, 47, 48, 49, 50, 51],
+    180: [44, 45, 46, 47, 48, 49, 50, 51, 52],
+    190: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    200: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    210: [40, 41, 42, 43, 44, 51, 52, 53, 54],
+    220: [39, 40, 41, 42, 52, 53, 54, 55],
+    230: [38, 39, 40, 41, 53, 54, 55],
+    240: [37, 38, 39, 54, 55],
+    250: [36, 37, 38, 54, 55, 56],
+    260: [35, 36, 37, 55, 56],
+    270: [34, 35, 36, 55, 56],
+    280: [33, 34, 35, 56, 57],
+    290: [32, 33, 34, 56, 57],
+    300: [31, 32, 33, 56, 57],
+    310: [30, 31, 32, 57],
+    320: [29, 30, 31, 57, 58],
+    330: [28, 29, 30, 57, 58],
+    340: [28, 29, 57, 58],
+    350: [27, 28, 58],
+    360: [26, 27, 58],
+    370: [25, 26, 58, 59],
+    380: [24, 25, 26, 58, 59],
+    390: [23, 24, 25, 58, 59],
+    400: [22, 23, 24, 59],
+    410: [21, 22, 23, 59],
+    420: [21, 22, 59],
+    430: [20, 21, 59, 60],
+    440: [19, 20, 59, 60],
+    450: [18, 19, 20, 59, 60],
+    460: [17, 18, 19, 60],
+    470: [16, 17, 18, 60],
+    480: [16, 17, 60],
+    490: [16, 60]
+  },
+  930: {
+    180: [45, 46, 47, 48, 49, 50],
+    190: [44, 45, 46, 47, 48, 49, 50, 51, 52],
+    200: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    210: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    220: [40, 41, 42, 43, 51, 52, 53, 54],
+    230: [38, 39, 40, 41, 52, 53, 54],
+    240: [37, 38, 39, 40, 53, 54, 55],
+    250: [36, 37, 38, 39, 53, 54, 55],
+    260: [35, 36, 37, 54, 55],
+    270: [34, 35, 36, 54, 55, 56],
+    280: [33, 34, 35, 55, 56],
+    290: [32, 33, 34, 55, 56],
+    300: [31, 32, 33, 56, 57],
+    310: [31, 32, 56, 57],
+    320: [30, 31, 56, 57],
+    330: [29, 30, 57],
+    340: [28, 29, 57],
+    350: [27, 28, 57, 58],
+    360: [26, 27, 28, 57, 58],
+    370: [25, 26, 27, 57, 58],
+    380: [24, 25, 26, 58],
+    390: [24, 25, 58],
+    400: [23, 24, 58, 59],
+    410: [22, 23, 58, 59],
+    420: [21, 22, 58, 59],
+    430: [20, 21, 22, 59],
+    440: [19, 20, 21, 59],
+    450: [19, 20, 59],
+    460: [18, 19, 59],
+    470: [17, 18, 59, 60],
+    480: [16, 17, 59, 60],
+    490: [16, 17],
+    500: [16]
+  },
+  940: {
+    190: [45, 46, 47, 48, 49, 50],
+    200: [43, 44, 45, 46, 47, 48, 49, 50, 51],
+    210: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    220: [40, 41, 42, 43, 44, 45, 49, 50, 51, 52, 53],
+    230: [39, 40, 41, 42, 43, 51, 52, 53],
+    240: [38, 39, 40, 41, 52, 53, 54],
+    250: [37, 38, 39, 52, 53, 54],
+    260: [36, 37, 38, 53, 54, 55],
+    270: [35, 36, 37, 54, 55],
+    280: [34, 35, 36, 54, 55],
+    290: [33, 34, 35, 54, 55, 56],
+    300: [32, 33, 34, 55, 56],
+    310: [31, 32, 33, 55, 56],
+    320: [30, 31, 32, 56],
+    330: [29, 30, 31, 56, 57],
+    340: [28, 29, 30, 56, 57],
+    350: [27, 28, 29, 56, 57],
+    360: [26, 27, 28, 57],
+    370: [26, 27, 57, 58],
+    380: [25, 26, 57, 58],
+    390: [24, 25, 57, 58],
+    400: [23, 24, 25, 58],
+    410: [22, 23, 24, 58],
+    420: [21, 22, 23, 58],
+    430: [20, 21, 22, 58, 59],
+    440: [20, 21, 58, 59],
+    450: [19, 20, 58, 59],
+    460: [18, 19, 59],
+    470: [17, 18, 19, 59],
+    480: [17, 18, 59],
+    490: [16, 17, 59]
+  },
+  950: {
+    200: [44, 45, 46, 47, 48, 49, 50],
+    210: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    220: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    230: [40, 41, 42, 43, 44, 48, 49, 50, 51, 52],
+    240: [38, 39, 40, 41, 42, 50, 51, 52, 53],
+    250: [37, 38, 39, 40, 51, 52, 53],
+    260: [36, 37, 38, 39, 52, 53, 54],
+    270: [35, 36, 37, 53, 54],
+    280: [34, 35, 36, 53, 54, 55],
+    290: [33, 34, 35, 54, 55],
+    300: [32, 33, 34, 54, 55],
+    310: [31, 32, 33, 54, 55, 56],
+    320: [30, 31, 32, 55, 56],
+    330: [29, 30, 31, 55, 56],
+    340: [29, 30, 55, 56],
+    350: [28, 29, 56, 57],
+    360: [27, 28, 56, 57],
+    370: [26, 27, 56, 57],
+    380: [25, 26, 27, 56, 57],
+    390: [24, 25, 26, 57],
+    400: [23, 24, 25, 57, 58],
+    410: [23, 24, 57, 58],
+    420: [22, 23, 57, 58],
+    430: [21, 22, 57, 58],
+    440: [20, 21, 58],
+    450: [19, 20, 21, 58],
+    460: [18, 19, 20, 58],
+    470: [18, 19, 58, 59],
+    480: [17, 18, 58, 59],
+    490: [17]
+  },
+  960: {
+    210: [44, 45, 46, 47, 48, 49],
+    220: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    230: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    240: [39, 40, 41, 42, 43, 44, 48, 49, 50, 51, 52],
+    250: [38, 39, 40, 41, 50, 51, 52, 53],
+    260: [37, 38, 39, 40, 51, 52, 53],
+    270: [36, 37, 38, 52, 53],
+    280: [35, 36, 37, 52, 53, 54],
+    290: [34, 35, 36, 53, 54],
+    300: [33, 34, 35, 53, 54, 55],
+    310: [32, 33, 34, 54, 55],
+    320: [31, 32, 33, 54, 55],
+    330: [30, 31, 32, 54, 55],
+    340: [29, 30, 31, 55, 56],
+    350: [28, 29, 30, 55, 56],
+    360: [27, 28, 29, 55, 56],
+    370: [26, 27, 28, 56],
+    380: [25, 26, 27, 56, 57],
+    390: [25, 26, 56, 57],
+    400: [24, 25, 56, 57],
+    410: [23, 24, 57],
+    420: [22, 23, 24, 57],
+    430: [21, 22, 23, 57],
+    440: [20, 21, 22, 57, 58],
+    450: [19, 20, 21, 57, 58],
+    460: [19, 20, 57, 58],
+    470: [18, 19, 58],
+    480: [17, 18, 19, 58],
+    490: [17, 18, 58]
+  },
+  970: {
+    210: [46],
+    220: [43, 44, 45, 46, 47, 48, 49],
+    230: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    240: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    250: [38, 39, 40, 41, 42, 43, 48, 49, 50, 51, 52],
+    260: [37, 38, 39, 40, 41, 49, 50, 51, 52],
+    270: [36, 37, 38, 39, 50, 51, 52, 53],
+    280: [35, 36, 37, 38, 51, 52, 53],
+    290: [34, 35, 36, 52, 53, 54],
+    300: [33, 34, 35, 52, 53, 54],
+    310: [32, 33, 34, 53, 54],
+    320: [31, 32, 33, 53, 54, 55],
+    330: [30, 31, 32, 54, 55],
+    340: [29, 30, 31, 54, 55],
+    350: [28, 29, 30, 54, 55],
+    360: [28, 29, 55, 56],
+    370: [27, 28, 55, 56],
+    380: [26, 27, 55, 56],
+    390: [25, 26, 56],
+    400: [24, 25, 26, 56],
+    410: [23, 24, 25, 56, 57],
+    420: [22, 23, 24, 56, 57],
+    430: [22, 23, 56, 57],
+    440: [21, 22, 57],
+    450: [20, 21, 57],
+    460: [19, 20, 21, 57],
+    470: [18, 19, 20, 57, 58],
+    480: [18, 19, 57, 58],
+    490: [18, 57]
+  },
+  980: {
+    220: [45, 46],
+    230: [42, 43, 44, 45, 46, 47, 48, 49],
+    240: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    250: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    260: [38, 39, 40, 41, 42, 43, 47, 48, 49, 50, 51],
+    270: [37, 38, 39, 40, 49, 50, 51, 52],
+    280: [36, 37, 38, 39, 50, 51, 52],
+    290: [35, 36, 37, 51, 52, 53],
+    300: [34, 35, 36, 51, 52, 53],
+    310: [33, 34, 35, 52, 53, 54],
+    320: [32, 33, 34, 52, 53, 54],
+    330: [31, 32, 33, 53, 54],
+    340: [30, 31, 32, 53, 54],
+    350: [29, 30, 31, 54, 55],
+    360: [28, 29, 30, 54, 55],
+    370: [27, 28, 29, 54, 55],
+    380: [26, 27, 28, 55],
+    390: [25, 26, 27, 55, 56],
+    400: [24, 25, 26, 55, 56],
+    410: [24, 25, 55, 56],
+    420: [23, 24, 56],
+    430: [22, 23, 56],
+    440: [21, 22, 23, 56, 57],
+    450: [20, 21, 22, 56, 57],
+    460: [20, 21, 56, 57],
+    470: [19, 20, 57],
+    480: [18, 19, 57],
+    490: [18, 57]
+  },
+  990: {
+    230: [45, 46],
+    240: [42, 43, 44, 45, 46, 47, 48],
+    250: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    260: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    270: [37, 38, 39, 40, 41, 42, 43, 46, 47, 48, 49, 50, 51],
+    280: [36, 37, 38, 39, 40, 48, 49, 50, 51],
+    290: [35, 36, 37, 38, 50, 51, 52],
+    300: [34, 35, 36, 37, 50, 51, 52],
+    310: [33, 34, 35, 36, 51, 52, 53],
+    320: [32, 33, 34, 52, 53],
+    330: [31, 32, 33, 52, 53],
+    340: [30, 31, 32, 52, 53, 54],
+    350: [29, 30, 31, 53, 54],
+    360: [28, 29, 30, 53, 54],
+    370: [27, 28, 29, 54],
+    380: [27, 28, 54, 55],
+    390: [26, 27, 54, 55],
+    400: [25, 26, 27, 54, 55],
+    410: [24, 25, 26, 55],
+    420: [23, 24, 25, 55, 56],
+    430: [22, 23, 24, 55, 56],
+    440: [21, 22, 23, 55, 56],
+    450: [21, 22, 56],
+    460: [20, 21, 56],
+    470: [19, 20, 21, 56],
+    480: [19, 20, 56, 57],
+    490: [19, 56]
+  },
+  1000: {
+    240: [44, 45],
+    250: [41, 42, 43, 44, 45, 46, 47, 48],
+    260: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    270: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    280: [37, 38, 39, 40, 41, 42, 46, 47, 48, 49, 50],
+    290: [36, 37, 38, 39, 48, 49, 50, 51],
+    300: [35, 36, 37, 38, 49, 50, 51],
+    310: [34, 35, 36, 50, 51, 52],
+    320: [33, 34, 35, 51, 52],
+    330: [32, 33, 34, 51, 52, 53],
+    340: [31, 32, 33, 52, 53],
+    350: [30, 31, 32, 52, 53],
+    360: [29, 30, 31, 52, 53, 54],
+    370: [28, 29, 30, 53, 54],
+    380: [27, 28, 29, 53, 54],
+    390: [26, 27, 28, 53, 54],
+    400: [25, 26, 27, 54, 55],
+    410: [24, 25, 26, 54, 55],
+    420: [24, 25, 54, 55],
+    430: [23, 24, 55],
+    440: [22, 23, 24, 55],
+    450: [21, 22, 23, 55, 56],
+    460: [20, 21, 22, 55, 56],
+    470: [19, 20, 21, 55, 56],
+    480: [19, 20, 56],
+    490: [19, 56]
+  },
+  1010: {
+    250: [44, 45],
+    260: [41, 42, 43, 44, 45, 46, 47],
+    270: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    280: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    290: [37, 38, 39, 40, 41, 42, 46, 47, 48, 49, 50],
+    300: [35, 36, 37, 38, 39, 48, 49, 50, 51],
+    310: [34, 35, 36, 37, 49, 50, 51],
+    320: [33, 34, 35, 36, 49, 50, 51],
+    330: [32, 33, 34, 35, 50, 51, 52],
+    340: [31, 32, 33, 34, 51, 52],
+    350: [30, 31, 32, 51, 52, 53],
+    360: [29, 30, 31, 52, 53],
+    370: [28, 29, 30, 52, 53],
+    380: [27, 28, 29, 52, 53, 54],
+    390: [27, 28, 53, 54],
+    400: [26, 27, 53, 54],
+    410: [25, 26, 27, 53, 54],
+    420: [24, 25, 26, 54],
+    430: [23, 24, 25, 54, 55],
+    440: [22, 23, 24, 54, 55],
+    450: [22, 23, 54, 55],
+    460: [21, 22, 55],
+    470: [20, 21, 55],
+    480: [20, 21, 55, 56],
+    490: [20, 55]
+  },
+  1020: {
+    260: [44, 45],
+    270: [41, 42, 43, 44, 45, 46, 47],
+    280: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    290: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    300: [36, 37, 38, 39, 40, 41, 42, 45, 46, 47, 48, 49, 50],
+    310: [35, 36, 37, 38, 39, 47, 48, 49, 50],
+    320: [34, 35, 36, 37, 48, 49, 50, 51],
+    330: [33, 34, 35, 36, 49, 50, 51],
+    340: [32, 33, 34, 50, 51, 52],
+    350: [31, 32, 33, 50, 51, 52],
+    360: [30, 31, 32, 51, 52],
+    370: [29, 30, 31, 51, 52, 53],
+    380: [28, 29, 30, 52, 53],
+    390: [27, 28, 29, 52, 53],
+    400: [26, 27, 28, 52, 53],
+    410: [25, 26, 27, 53, 54],
+    420: [24, 25, 26, 53, 54],
+    430: [24, 25, 53, 54],
+    440: [23, 24, 53, 54],
+    450: [22, 23, 24, 54, 55],
+    460: [21, 22, 23, 54, 55],
+    470: [20, 21, 22, 54, 55],
+    480: [20, 21, 54, 55],
+    490: [20, 55]
+  },
+  1030: {
+    280: [40, 41, 42, 43, 44, 45, 46],
+    290: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    300: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    310: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    320: [35, 36, 37, 38, 46, 47, 48, 49, 50],
+    330: [34, 35, 36, 37, 48, 49, 50],
+    340: [33, 34, 35, 48, 49, 50, 51],
+    350: [31, 32, 33, 34, 49, 50, 51],
+    360: [30, 31, 32, 33, 50, 51],
+    370: [29, 30, 31, 32, 50, 51, 52],
+    380: [28, 29, 30, 31, 51, 52],
+    390: [28, 29, 30, 51, 52],
+    400: [27, 28, 29, 52, 53],
+    410: [26, 27, 28, 52, 53],
+    420: [25, 26, 27, 52, 53],
+    430: [24, 25, 26, 52, 53],
+    440: [23, 24, 25, 53, 54],
+    450: [23, 24, 53, 54],
+    460: [22, 23, 53, 54],
+    470: [21, 22, 54],
+    480: [21, 54, 55],
+    490: [21, 54]
+  },
+  1040: {
+    290: [40, 41, 42, 43, 44, 45, 46],
+    300: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    310: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    320: [36, 37, 38, 39, 40, 41, 43, 44, 45, 46, 47, 48, 49],
+    330: [34, 35, 36, 37, 38, 46, 47, 48, 49],
+    340: [33, 34, 35, 36, 47, 48, 49, 50],
+    350: [32, 33, 34, 35, 48, 49, 50],
+    360: [31, 32, 33, 34, 49, 50, 51],
+    370: [30, 31, 32, 49, 50, 51],
+    380: [29, 30, 31, 50, 51],
+    390: [28, 29, 30, 50, 51, 52],
+    400: [27, 28, 29, 51, 52],
+    410: [26, 27, 28, 51, 52],
+    420: [25, 26, 27, 51, 52, 53],
+    430: [25, 26, 52, 53],
+    440: [24, 25, 26, 52, 53],
+    450: [23, 24, 25, 52, 53],
+    460: [22, 23, 24, 53],
+    470: [21, 22, 23, 53, 54],
+    480: [21, 22, 53, 54],
+    490: [21, 54]
+  },
+  1050: {
+    300: [40, 41, 42, 43, 44, 45],
+    310: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    320: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    330: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    340: [34, 35, 36, 37, 38, 45, 46, 47, 48, 49],
+    350: [33, 34, 35, 36, 47, 48, 49],
+    360: [32, 33, 34, 35, 48, 49, 50],
+    370: [31, 32, 33, 48, 49, 50],
+    380: [30, 31, 32, 49, 50, 51],
+    390: [29, 30, 31, 49, 50, 51],
+    400: [28, 29, 30, 50, 51],
+    410: [27, 28, 29, 50, 51, 52],
+    420: [26, 27, 28, 51, 52],
+    430: [25, 26, 27, 51, 52],
+    440: [24, 25, 26, 51, 52],
+    450: [23, 24, 25, 52, 53],
+    460: [23, 24, 52, 53],
+    470: [22, 23, 52, 53],
+    480: [22, 23, 52, 53],
+    490: [22]
+  },
+  1060: {
+    310: [39, 40, 41, 42, 43, 44, 45],
+    320: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    330: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    340: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    350: [33, 34, 35, 36, 37, 38, 45, 46, 47, 48],
+    360: [32, 33, 34, 35, 36, 46, 47, 48, 49],
+    370: [31, 32, 33, 34, 47, 48, 49],
+    380: [30, 31, 32, 33, 48, 49, 50],
+    390: [29, 30, 31, 32, 48, 49, 50],
+    400: [28, 29, 30, 31, 49, 50, 51],
+    410: [27, 28, 29, 30, 49, 50, 51],
+    420: [27, 28, 29, 50, 51],
+    430: [26, 27, 28, 50, 51],
+    440: [25, 26, 27, 51, 52],
+    450: [24, 25, 26, 51, 52],
+    460: [23, 24, 25, 51, 52],
+    470: [22, 23, 24, 52],
+    480: [22, 23, 52, 53],
+    490: [22, 52]
+  },
+  1070: {
+    320: [39, 40, 41, 42, 43, 44],
+    330: [37, 38, 39, 40, 41, 42, 43, 44, 45],
+    340: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    350: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    360: [33, 34, 35, 36, 37, 38, 44, 45, 46, 47, 48],
+    370: [32, 33, 34, 35, 45, 46, 47, 48],
+    380: [31, 32, 33, 34, 46, 47, 48, 49],
+    390: [30, 31, 32, 33, 47, 48, 49],
+    400: [29, 30, 31, 32, 48, 49, 50],
+    410: [28, 29, 30, 49, 50],
+    420: [27, 28, 29, 49, 50],
+    430: [26, 27, 28, 49, 50, 51],
+    440: [25, 26, 27, 50, 51],
+    450: [24, 25, 26, 50, 51],
+    460: [24, 25, 51, 52],
+    470: [23, 24, 25, 51, 52],
+    480: [22, 23, 24, 51, 52],
+    490: [22, 23, 51, 52],
+    500: [22]
+  },
+  1080: {
+    330: [39, 40, 41, 42, 43, 44],
+    340: [37, 38, 39, 40, 41, 42, 43, 44, 45],
+    350: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    360: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    370: [33, 34, 35, 36, 37, 43, 44, 45, 46, 47],
+    380: [32, 33, 34, 35, 45, 46, 47, 48],
+    390: [31, 32, 33, 34, 46, 47, 48],
+    400: [30, 31, 32, 33, 47, 48, 49],
+    410: [29, 30, 31, 47, 48, 49],
+    420: [28, 29, 30, 48, 49, 50],
+    430: [27, 28, 29, 48, 49, 50],
+    440: [26, 27, 28, 49, 50],
+    450: [25, 26, 27, 49, 50, 51],
+    460: [24, 25, 26, 50, 51],
+    470: [23, 24, 25, 50, 51],
+    480: [23, 24, 50, 51],
+    490: [23, 51],
+    500: [23]
+  },
+  1090: {
+    340: [39, 40, 41, 42, 43],
+    350: [37, 38, 39, 40, 41, 42, 43, 44],
+    360: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    370: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    380: [33, 34, 35, 36, 37, 38, 42, 43, 44, 45, 46, 47],
+    390: [31, 32, 33, 34, 35, 44, 45, 46, 47, 48],
+    400: [30, 31, 32, 33, 34, 45, 46, 47, 48],
+    410: [29, 30, 31, 32, 46, 47, 48],
+    420: [29, 30, 31, 47, 48, 49],
+    430: [27, 28, 29, 30, 47, 48, 49],
+    440: [27, 28, 29, 48, 49, 50],
+    450: [26, 27, 28, 48, 49, 50],
+    460: [25, 26, 27, 49, 50],
+    470: [24, 25, 26, 49, 50],
+    480: [23, 24, 25, 50, 51],
+    490: [23, 24, 50, 51]
+  },
+  1100: {
+    350: [39, 40, 41, 42],
+    360: [37, 38, 39, 40, 41, 42, 43, 44],
+    370: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    390: [32, 33, 34, 35, 36, 37, 38, 41, 42, 43, 44, 45, 46],
+    400: [31, 32, 33, 34, 35, 44, 45, 46, 47],
+    410: [30, 31, 32, 33, 34, 45, 46, 47],
+    420: [29, 30, 31, 32, 46, 47, 48],
+    430: [28, 29, 30, 31, 46, 47, 48],
+    440: [27, 28, 29, 30, 47, 48, 49],
+    450: [26, 27, 28, 29, 48, 49],
+    460: [25, 26, 27, 28, 48, 49],
+    470: [25, 26, 27, 48, 49, 50],
+    480: [24, 25, 26, 49, 50],
+    490: [24, 25, 49, 50],
+    500: [24]
+  },
+  1110: {
+    360: [40, 41],
+    370: [37, 38, 39, 40, 41, 42, 43],
+    380: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    390: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    400: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    410: [31, 32, 33, 34, 35, 43, 44, 45, 46],
+    420: [30, 31, 32, 33, 44, 45, 46, 47],
+    430: [29, 30, 31, 32, 45, 46, 47],
+    440: [28, 29, 30, 31, 46, 47, 48],
+    450: [27, 28, 29, 30, 46, 47, 48],
+    460: [26, 27, 28, 47, 48, 49],
+    470: [25, 26, 27, 47, 48, 49],
+    480: [24, 25, 26, 48, 49],
+    490: [24, 25, 48]
+  },
+  1120: {
+    380: [36, 37, 38, 39, 40, 41, 42],
+    390: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    400: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    410: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    420: [31, 32, 33, 34, 35, 42, 43, 44, 45, 46],
+    430: [30, 31, 32, 33, 44, 45, 46, 47],
+    440: [29, 30, 31, 32, 44, 45, 46, 47],
+    450: [28, 29, 30, 31, 45, 46, 47],
+    460: [27, 28, 29, 46, 47, 48],
+    470: [26, 27, 28, 46, 47, 48],
+    480: [25, 26, 27, 47, 48],
+    490: [25, 26, 47, 48]
+  },
+  1130: {
+    390: [37, 38, 39, 40, 41],
+    400: [35, 36, 37, 38, 39, 40, 41, 42, 43],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    420: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    430: [31, 32, 33, 34, 35, 36, 41, 42, 43, 44, 45],
+    440: [29, 30, 31, 32, 33, 43, 44, 45, 46],
+    450: [28, 29, 30, 31, 32, 44, 45, 46],
+    460: [28, 29, 30, 31, 45, 46, 47],
+    470: [27, 28, 29, 45, 46, 47],
+    480: [26, 27, 28, 46, 47, 48],
+    490: [26, 27, 46, 47],
+    500: [47]
+  },
+  1140: {
+    400: [37, 38, 39, 40, 41],
+    410: [35, 36, 37, 38, 39, 40, 41, 42],
+    420: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    440: [30, 31, 32, 33, 34, 35, 36, 37, 39, 40, 41, 42, 43, 44, 45],
+    450: [29, 30, 31, 32, 33, 42, 43, 44, 45],
+    460: [28, 29, 30, 31, 32, 43, 44, 45, 46],
+    470: [27, 28, 29, 30, 44, 45, 46],
+    480: [27, 28, 29, 45, 46, 47],
+    490: [26, 27, 28, 45, 46, 47]
+  },
+  1150: {
+    410: [37, 38, 39, 40],
+    420: [35, 36, 37, 38, 39, 40, 41],
+    430: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    440: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    450: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    460: [29, 30, 31, 32, 33, 34, 41, 42, 43, 44, 45],
+    470: [28, 29, 30, 31, 32, 43, 44, 45],
+    480: [27, 28, 29, 30, 43, 44, 45, 46],
+    490: [27, 28, 29, 44, 45],
+    500: [28]
+  },
+  1160: {
+    430: [35, 36, 37, 38, 39, 40, 41],
+    440: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    450: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    460: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    470: [29, 30, 31, 32, 33, 34, 40, 41, 42, 43, 44],
+    480: [28, 29, 30, 31, 32, 42, 43, 44, 45],
+    490: [28, 29, 30, 43, 44, 45],
+    500: [29]
+  },
+  1170: {
+    440: [35, 36, 37, 38, 39, 40],
+    450: [33, 34, 35, 36, 37, 38, 39, 40, 41],
+    460: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    470: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    480: [29, 30, 31, 32, 33, 34, 38, 39, 40, 41, 42, 43, 44],
+    490: [29, 30, 31, 32, 41, 42, 43],
+    500: [30]
+  },
+  1180: {
+    450: [36, 37, 38, 39],
+    460: [33, 34, 35, 36, 37, 38, 39, 40],
+    470: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    480: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    490: [30, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 43],
+    500: [41]
+  },
+  1190: {
+    460: [36, 37],
+    470: [34, 35, 36, 37, 38, 39],
+    480: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
+    490: [33, 34, 35, 36, 37, 38, 40, 41],
+    500: [35]
+  }
+};
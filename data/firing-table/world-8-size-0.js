@@ -0,0 +1,4557 @@
+// Firing Table Data for World 8
+// Cannonball size level 0 (radius 8.0px)
+// Generated on 2026-10-19T18:31:50.991Z
+export default {
+  0: {
+    0: [96, 101],
+    10: [96, 101, 102],
+    20: [96, 101, 102],
+    30: [96, 102, 103],
+    40: [96, 102, 103],
+    50: [102, 103, 104],
+    60: [103, 104],
+    70: [103, 104],
+    80: [95, 104, 105],
+    90: [95, 104, 105],
+    100: [95, 105, 106],
+    110: [95, 105, 106],
+    120: [95, 105, 106, 107],
+    130: [95, 106, 107, 108],
+    140: [95, 106, 107, 108],
+    150: [95, 107, 108, 109],
+    160: [95, 108, 109],
+    170: [95, 108, 109, 110],
+    180: [95, 109, 110, 111],
+    190: [95, 110, 111, 112],
+    200: [95, 110, 111, 112],
+    210: [95, 111, 112, 113, 114],
+    220: [95, 112, 113, 114],
+    230: [95, 113, 114, 115],
+    240: [95, 114, 115, 116, 117],
+    250: [95, 115, 116, 117],
+    260: [95, 116, 117, 118, 119],
+    270: [95, 117, 118, 119, 120],
+    280: [95, 118, 119, 120, 121],
+    290: [95, 119, 120, 121, 122, 123],
+    300: [95, 121, 122, 123, 124],
+    310: [95, 122, 123, 124, 125, 126],
+    320: [95, 124, 125, 126, 127],
+    330: [95, 126, 127, 128, 129, 130],
+    340: [95, 128, 129, 130, 131, 132],
+    350: [95, 130, 131, 132, 133, 134, 135],
+    360: [95, 132, 133, 134, 135, 136, 137],
+    370: [95, 135, 136, 137, 138, 139, 140],
+    380: [95, 137, 138, 139, 140, 141, 142, 143],
+    390: [95, 141, 142, 143, 144, 145, 146],
+    400: [95, 144, 145, 146, 147, 148, 149],
+    410: [95, 147, 148, 149, 150, 151, 152, 153, 154],
+    420: [150, 151, 152, 153, 154, 155, 156, 157],
+    430: [156, 157, 158, 159, 160],
+    440: [95, 160, 161, 162, 163, 164, 165],
+    450: [164, 165, 166, 167, 168, 169, 170, 171],
+    460: [168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    480: [177, 178, 179, 180, 181, 182, 183, 184, 185],
+    490: [182, 183, 184, 185, 186, 187],
+    500: [187]
+  },
+  10: {
+    0: [95, 100, 101],
+    10: [95, 100, 101],
+    20: [95, 100, 101],
+    30: [95, 101, 102],
+    40: [95, 101, 102],
+    50: [95, 101, 102, 103],
+    60: [95, 102, 103],
+    70: [95, 102, 103],
+    80: [95, 103, 104],
+    90: [95, 103, 104],
+    100: [95, 103, 104, 105],
+    110: [95, 104, 105],
+    120: [95, 104, 105, 106],
+    130: [95, 105, 106],
+    140: [95, 105, 106, 107],
+    150: [95, 106, 107, 108],
+    160: [95, 106, 107, 108],
+    170: [95, 107, 108, 109],
+    180: [95, 107, 108, 109],
+    190: [95, 108, 109, 110],
+    200: [95, 109, 110, 111],
+    210: [95, 109, 110, 111, 112],
+    220: [110, 111, 112, 113],
+    230: [111, 112, 113, 114],
+    240: [112, 113, 114, 115],
+    250: [113, 114, 115, 116],
+    260: [114, 115, 116],
+    270: [115, 116, 117, 118],
+    280: [116, 117, 118, 119],
+    290: [117, 118, 119, 120, 121],
+    300: [119, 120, 121, 122],
+    310: [120, 121, 122, 123, 124],
+    320: [122, 123, 124, 125, 126],
+    330: [123, 124, 125, 126, 127, 128],
+    340: [94, 125, 126, 127, 128, 129, 130],
+    350: [94, 127, 128, 129, 130, 131, 132, 133],
+    360: [94, 130, 131, 132, 133, 134, 135],
+    370: [94, 132, 133, 134, 135, 136, 137, 138],
+    380: [94, 136, 137, 138, 139, 140],
+    390: [94, 138, 139, 140, 141, 142, 143, 144],
+    400: [94, 141, 142, 143, 144, 145, 146, 147, 148],
+    410: [94, 146, 147, 148, 149, 150],
+    420: [94, 149, 150, 151, 152, 153, 154, 155, 156],
+    430: [94, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    440: [94, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [94, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [94, 168, 169, 170, 171, 172, 173, 174],
+    470: [94, 173, 174, 175, 176, 177, 178, 179],
+    480: [94, 179, 180, 181, 182, 183, 184],
+    490: [94, 184, 185, 186, 187]
+  },
+  20: {
+    0: [95, 99, 100],
+    10: [95, 99, 100],
+    20: [95, 99, 100],
+    30: [95, 100, 101],
+    40: [95, 100, 101],
+    50: [95, 100, 101, 102],
+    60: [95, 101, 102],
+    70: [101, 102],
+    80: [101, 102, 103],
+    90: [102, 103],
+    100: [102, 103, 104],
+    110: [94, 103, 104],
+    120: [94, 103, 104, 105],
+    130: [94, 103, 104, 105],
+    140: [94, 104, 105],
+    150: [94, 104, 105, 106],
+    160: [94, 105, 106, 107],
+    170: [94, 105, 106, 107],
+    180: [94, 106, 107, 108],
+    190: [94, 106, 107, 108, 109],
+    200: [94, 107, 108, 109],
+    210: [94, 108, 109, 110],
+    220: [94, 108, 109, 110, 111],
+    230: [94, 109, 110, 111, 112],
+    240: [94, 110, 111, 112],
+    250: [94, 111, 112, 113, 114],
+    260: [94, 112, 113, 114, 115],
+    270: [94, 113, 114, 115, 116],
+    280: [94, 114, 115, 116, 117, 118],
+    290: [94, 116, 117, 118],
+    300: [94, 116, 117, 118, 119, 120],
+    310: [94, 118, 119, 120, 121],
+    320: [94, 119, 120, 121, 122, 123, 124],
+    330: [94, 122, 123, 124, 125],
+    340: [94, 122, 123, 124, 125, 126, 127, 128],
+    350: [94, 126, 127, 128, 129],
+    360: [94, 127, 128, 129, 130, 131, 132, 133],
+    370: [94, 130, 131, 132, 133, 134],
+    380: [94, 132, 133, 134, 135, 136, 137, 138, 139],
+    390: [94, 135, 136, 137, 138, 139, 140, 141, 142],
+    400: [94, 140, 141, 142, 143, 144],
+    410: [94, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    420: [94, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    430: [94, 152, 153, 154, 155, 156, 157, 158],
+    440: [94, 157, 158, 159, 160, 161, 162, 163],
+    450: [94, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [94, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176],
+    470: [94, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    480: [94, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187],
+    490: [94, 183, 184, 185, 186, 187, 188, 189],
+    500: [189]
+  },
+  30: {
+    0: [94, 98, 99],
+    10: [94, 98, 99],
+    20: [94, 99],
+    30: [94, 99, 100],
+    40: [94, 99, 100],
+    50: [94, 99, 100],
+    60: [94, 100, 101],
+    70: [94, 100, 101],
+    80: [94, 100, 101, 102],
+    90: [94, 101, 102],
+    100: [94, 101, 102],
+    110: [94, 101, 102, 103],
+    120: [94, 102, 103],
+    130: [94, 102, 103, 104],
+    140: [94, 103, 104],
+    150: [94, 103, 104, 105],
+    160: [94, 103, 104, 105],
+    170: [94, 104, 105, 106],
+    180: [94, 104, 105, 106],
+    190: [94, 105, 106, 107],
+    200: [94, 105, 106, 107, 108],
+    210: [94, 106, 107, 108, 109],
+    220: [94, 107, 108, 109],
+    230: [94, 107, 108, 109, 110],
+    240: [94, 108, 109, 110, 111],
+    250: [94, 109, 110, 111, 112],
+    260: [94, 109, 110, 111, 112, 113],
+    270: [94, 111, 112, 113, 114],
+    280: [94, 111, 112, 113, 114, 115],
+    290: [94, 113, 114, 115, 116, 117],
+    300: [114, 115, 116, 117, 118],
+    310: [115, 116, 117, 118, 119, 120],
+    320: [117, 118, 119, 120, 121],
+    330: [118, 119, 120, 121, 122, 123],
+    340: [120, 121, 122, 123, 124],
+    350: [122, 123, 124, 125, 126, 127, 128],
+    360: [124, 125, 126, 127, 128, 129],
+    370: [126, 127, 128, 129, 130, 131, 132, 133],
+    380: [129, 130, 131, 132, 133, 134, 135, 136],
+    390: [133, 134, 135, 136, 137, 138],
+    400: [135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    410: [140, 141, 142, 143, 144, 145, 146, 147],
+    420: [145, 146, 147, 148, 149, 150, 151],
+    430: [148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    440: [153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    460: [166, 167, 168, 169, 170, 171, 172, 173],
+    470: [173, 174, 175, 176, 177, 178],
+    480: [180, 181, 182, 183, 184, 185],
+    490: [185, 186, 187, 188, 189]
+  },
+  40: {
+    0: [94, 97, 98],
+    10: [94, 97, 98],
+    20: [94, 98, 99],
+    30: [94, 98, 99],
+    40: [94, 98, 99],
+    50: [94, 98, 99],
+    60: [94, 99, 100],
+    70: [94, 99, 100],
+    80: [94, 99, 100],
+    90: [94, 99, 100, 101],
+    100: [100, 101],
+    110: [100, 101, 102],
+    120: [100, 101, 102],
+    130: [101, 102],
+    140: [101, 102, 103],
+    150: [102, 103],
+    160: [102, 103, 104],
+    170: [102, 103, 104],
+    180: [103, 104, 105],
+    190: [93, 103, 104, 105],
+    200: [93, 104, 105, 106],
+    210: [93, 104, 105, 106, 107],
+    220: [93, 105, 106, 107],
+    230: [93, 105, 106, 107, 108],
+    240: [93, 106, 107, 108, 109],
+    250: [93, 107, 108, 109, 110],
+    260: [93, 107, 108, 109, 110, 111],
+    270: [93, 108, 109, 110, 111, 112],
+    280: [93, 110, 111, 112],
+    290: [93, 110, 111, 112, 113, 114],
+    300: [93, 112, 113, 114, 115],
+    310: [93, 112, 113, 114, 115, 116, 117],
+    320: [93, 114, 115, 116, 117, 118],
+    330: [93, 115, 116, 117, 118, 119, 120],
+    340: [93, 117, 118, 119, 120, 121, 122],
+    350: [93, 119, 120, 121, 122, 123, 124, 125],
+    360: [93, 121, 122, 123, 124, 125, 126, 127],
+    370: [93, 123, 124, 125, 126, 127, 128, 129, 130],
+    380: [93, 127, 128, 129, 130, 131, 132],
+    390: [93, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    400: [93, 133, 134, 135, 136, 137, 138, 139],
+    410: [93, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    420: [93, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    430: [93, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    440: [93, 153, 154, 155, 156, 157, 158, 159],
+    450: [93, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    460: [93, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    470: [93, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [93, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190],
+    490: [93, 184, 185, 186, 187, 188, 189, 190, 191],
+    500: [191]
+  },
+  50: {
+    0: [93, 96, 97],
+    10: [93, 96, 97],
+    20: [93, 97, 98],
+    30: [93, 97, 98],
+    40: [93, 97, 98],
+    50: [93, 97, 98],
+    60: [93, 97, 98, 99],
+    70: [93, 98, 99],
+    80: [93, 98, 99],
+    90: [93, 98, 99],
+    100: [93, 98, 99, 100],
+    110: [93, 99, 100],
+    120: [93, 99, 100, 101],
+    130: [93, 99, 100, 101],
+    140: [93, 99, 100, 101],
+    150: [93, 100, 101, 102],
+    160: [93, 100, 101, 102],
+    170: [93, 101, 102, 103],
+    180: [93, 101, 102, 103],
+    190: [93, 101, 102, 103, 104],
+    200: [93, 102, 103, 104],
+    210: [93, 102, 103, 104, 105],
+    220: [93, 103, 104, 105, 106],
+    230: [93, 104, 105, 106],
+    240: [93, 104, 105, 106, 107],
+    250: [93, 105, 106, 107, 108],
+    260: [93, 106, 107, 108],
+    270: [93, 106, 107, 108, 109, 110],
+    280: [93, 107, 108, 109, 110],
+    290: [93, 108, 109, 110, 111, 112],
+    300: [93, 109, 110, 111, 112, 113],
+    310: [93, 110, 111, 112, 113, 114],
+    320: [93, 111, 112, 113, 114, 115, 116],
+    330: [93, 113, 114, 115, 116, 117],
+    340: [93, 113, 114, 115, 116, 117, 118, 119, 120],
+    350: [93, 117, 118, 119, 120],
+    360: [93, 117, 118, 119, 120, 121, 122, 123, 124],
+    370: [93, 121, 122, 123, 124, 125],
+    380: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    390: [93, 125, 126, 127, 128, 129, 130, 131, 132],
+    400: [93, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    410: [93, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    420: [93, 139, 140, 141, 142, 143],
+    430: [93, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    440: [93, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    450: [93, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    460: [93, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    470: [93, 173, 174, 175, 176, 177, 178],
+    480: [181, 182, 183, 184, 185, 186],
+    490: [93, 187, 188, 189, 190, 191]
+  },
+  60: {
+    0: [93, 95, 96],
+    10: [93, 95, 96],
+    20: [93, 96, 97],
+    30: [93, 96, 97],
+    40: [93, 96, 97],
+    50: [93, 96, 97],
+    60: [93, 96, 97, 98],
+    70: [93, 97, 98],
+    80: [93, 97, 98],
+    90: [93, 97, 98],
+    100: [93, 97, 98, 99],
+    110: [93, 97, 98, 99],
+    120: [93, 98, 99],
+    130: [93, 98, 99, 100],
+    140: [93, 98, 99, 100],
+    150: [98, 99, 100],
+    160: [99, 100, 101],
+    170: [99, 100, 101],
+    180: [99, 100, 101, 102],
+    190: [100, 101, 102],
+    200: [100, 101, 102],
+    210: [100, 101, 102, 103],
+    220: [101, 102, 103, 104],
+    230: [102, 103, 104],
+    240: [102, 103, 104, 105],
+    250: [102, 103, 104, 105, 106],
+    260: [103, 104, 105, 106],
+    270: [103, 104, 105, 106, 107],
+    280: [104, 105, 106, 107, 108],
+    290: [105, 106, 107, 108, 109],
+    300: [106, 107, 108, 109, 110, 111],
+    310: [108, 109, 110, 111],
+    320: [108, 109, 110, 111, 112, 113],
+    330: [109, 110, 111, 112, 113, 114],
+    340: [110, 111, 112, 113, 114, 115, 116],
+    350: [92, 112, 113, 114, 115, 116, 117, 118],
+    360: [92, 113, 114, 115, 116, 117, 118, 119, 120],
+    370: [92, 116, 117, 118, 119, 120, 121, 122, 123],
+    380: [92, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    390: [121, 122, 123, 124, 125, 126, 127, 128, 129],
+    400: [92, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    410: [92, 130, 131, 132, 133, 134],
+    420: [92, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    430: [92, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    440: [92, 147, 148, 149, 150, 151],
+    450: [92, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
+    460: [92, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    470: [92, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [92, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192, 193, 194],
+    490: [92, 185, 186, 187, 188, 189, 190, 191, 192, 193, 194, 195, 196],
+    500: [195, 196]
+  },
+  70: {
+    0: [92, 94, 95],
+    10: [92, 94, 95],
+    20: [92, 95, 96],
+    30: [92, 95, 96],
+    40: [92, 95, 96],
+    50: [92, 95, 96],
+    60: [92, 95, 96],
+    70: [92, 95, 96, 97],
+    80: [92, 95, 96, 97],
+    90: [92, 96, 97],
+    100: [92, 96, 97],
+    110: [92, 96, 97, 98],
+    120: [92, 96, 97, 98],
+    130: [92, 96, 97, 98],
+    140: [92, 97, 98],
+    150: [92, 97, 98, 99],
+    160: [92, 97, 98, 99],
+    170: [92, 98, 99],
+    180: [92, 98, 99, 100],
+    190: [92, 98, 99, 100],
+    200: [92, 98, 99, 100, 101],
+    210: [92, 99, 100, 101],
+    220: [92, 99, 100, 101, 102],
+    230: [92, 99, 100, 101, 102],
+    240: [92, 100, 101, 102],
+    250: [92, 100, 101, 102, 103, 104],
+    260: [92, 101, 102, 103, 104],
+    270: [92, 101, 102, 103, 104, 105],
+    280: [92, 101, 102, 103, 104, 105, 106],
+    290: [92, 103, 104, 105, 106],
+    300: [92, 103, 104, 105, 106, 107, 108],
+    310: [92, 104, 105, 106, 107, 108, 109],
+    320: [92, 105, 106, 107, 108, 109, 110],
+    330: [92, 105, 106, 107, 108, 109, 110, 111],
+    340: [92, 108, 109, 110, 111, 112],
+    350: [92, 108, 109, 110, 111, 112, 113, 114, 115],
+    360: [92, 111, 112, 113, 114, 115],
+    370: [92, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    380: [92, 115, 116, 117, 118, 119],
+    390: [92, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    400: [92, 120, 121, 122, 123, 124, 125, 126, 127],
+    410: [92, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    420: [92, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    430: [92, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    440: [92, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    450: [92, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    460: [92, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    470: [92, 171, 172, 173, 174, 175, 176, 177],
+    480: [92, 183, 184, 185, 186, 187, 188],
+    490: [92, 190, 191, 192, 193, 194, 195, 196]
+  },
+  80: {
+    0: [92, 93, 94],
+    10: [92, 93, 94],
+    20: [92, 94, 95],
+    30: [92, 94, 95],
+    40: [92, 94, 95],
+    50: [92, 94, 95],
+    60: [92, 94, 95],
+    70: [92, 94, 95],
+    80: [92, 94, 95, 96],
+    90: [92, 94, 95, 96],
+    100: [92, 94, 95, 96],
+    110: [92, 95, 96],
+    120: [92, 95, 96],
+    130: [92, 95, 96, 97],
+    140: [92, 95, 96, 97],
+    150: [92, 95, 96, 97],
+    160: [92, 95, 96, 97, 98],
+    170: [92, 96, 97, 98],
+    180: [92, 96, 97, 98],
+    190: [92, 96, 97, 98, 99],
+    200: [92, 96, 97, 98, 99],
+    210: [92, 97, 98, 99],
+    220: [92, 97, 98, 99, 100],
+    230: [92, 97, 98, 99, 100],
+    240: [92, 98, 99, 100],
+    250: [92, 98, 99, 100, 101],
+    260: [92, 98, 99, 100, 101, 102],
+    270: [92, 99, 100, 101, 102],
+    280: [92, 99, 100, 101, 102, 103],
+    290: [92, 100, 101, 102, 103, 104],
+    300: [92, 100, 101, 102, 103, 104],
+    310: [100, 101, 102, 103, 104, 105, 106],
+    320: [102, 103, 104, 105],
+    330: [102, 103, 104, 105, 106, 107, 108],
+    340: [104, 105, 106, 107, 108],
+    350: [104, 105, 106, 107, 108, 109, 110, 111],
+    360: [106, 107, 108, 109, 110, 111, 112],
+    370: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    380: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    390: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    400: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    410: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    420: [122, 123, 124, 125, 126, 127, 128, 129, 130],
+    430: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    440: [131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146]
+  },
+  90: {
+    0: [91, 92, 93],
+    10: [91, 92, 93],
+    20: [91, 93],
+    30: [91, 93, 94],
+    40: [91, 93, 94],
+    50: [91, 93, 94],
+    60: [91, 93, 94],
+    70: [91, 93, 94],
+    80: [91, 93, 94],
+    90: [91, 93, 94, 95],
+    100: [91, 93, 94, 95],
+    110: [91, 93, 94, 95],
+    120: [91, 93, 94, 95],
+    130: [91, 94, 95],
+    140: [91, 94, 95],
+    150: [91, 94, 95, 96],
+    160: [91, 94, 95, 96],
+    170: [91, 94, 95, 96],
+    180: [91, 94, 95, 96],
+    190: [91, 94, 95, 96, 97],
+    200: [91, 94, 95, 96, 97],
+    210: [91, 95, 96, 97],
+    220: [91, 95, 96, 97, 98],
+    230: [91, 95, 96, 97, 98],
+    240: [91, 95, 96, 97, 98],
+    250: [91, 96, 97, 98, 99],
+    260: [91, 96, 97, 98, 99],
+    270: [91, 96, 97, 98, 99],
+    280: [91, 96, 97, 98, 99, 100],
+    290: [91, 96, 97, 98, 99, 100, 101],
+    300: [91, 98, 99, 100, 101],
+    310: [91, 97, 98, 99, 100, 101, 102, 103],
+    320: [91, 99, 100, 101, 102, 103],
+    330: [91, 98, 99, 100, 101, 102, 103, 104],
+    340: [91, 99, 100, 101, 102, 103, 104, 105],
+    350: [91, 100, 101, 102, 103, 104, 105, 106],
+    360: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    370: [91, 102, 103, 104, 105, 106, 107, 108, 109],
+    380: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    390: [91, 106, 107, 108, 109, 110, 111, 112, 113],
+    400: [91, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    410: [91, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    420: [91, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    430: [91, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  100: {
+    0: [91, 92],
+    10: [91, 92],
+    20: [91, 92],
+    30: [91, 92, 93],
+    40: [91, 92, 93],
+    50: [91, 92, 93],
+    60: [91, 92, 93],
+    70: [91, 92, 93],
+    80: [91, 92, 93],
+    90: [91, 92, 93],
+    100: [91, 92, 93],
+    110: [91, 92, 93, 94],
+    120: [91, 92, 93, 94],
+    130: [91, 92, 93, 94],
+    140: [91, 92, 93, 94],
+    150: [91, 92, 93, 94],
+    160: [91, 92, 93, 94],
+    170: [91, 92, 93, 94],
+    180: [91, 93, 94],
+    190: [91, 92, 93, 94, 95],
+    200: [91, 92, 93, 94, 95],
+    210: [91, 93, 94, 95],
+    220: [91, 93, 94, 95],
+    230: [91, 93, 94, 95, 96],
+    240: [91, 93, 94, 95, 96],
+    250: [91, 93, 94, 95, 96],
+    260: [91, 93, 94, 95, 96, 97],
+    270: [91, 94, 95, 96, 97],
+    280: [91, 94, 95, 96, 97, 98],
+    290: [91, 93, 94, 95, 96, 97, 98],
+    300: [91, 95, 96, 97, 98],
+    310: [91, 94, 95, 96, 97, 98, 99],
+    320: [91, 95, 96, 97, 98, 99, 100],
+    330: [91, 95, 96, 97, 98, 99, 100],
+    340: [91, 95, 96, 97, 98, 99, 100, 101, 102],
+    350: [91, 96, 97, 98, 99, 100, 101],
+    360: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    370: [91, 99, 100, 101, 102],
+    380: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    390: [91, 100, 101, 102, 103, 104, 105, 106],
+    400: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    410: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    420: [91, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    430: [91],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  110: {
+    0: [91],
+    10: [91],
+    20: [91],
+    30: [91, 92],
+    40: [91, 92],
+    50: [91, 92],
+    60: [91, 92],
+    70: [91, 92],
+    80: [91, 92],
+    90: [91, 92],
+    100: [91, 92],
+    110: [91, 92],
+    120: [91, 92],
+    130: [91, 92],
+    140: [91, 92],
+    150: [91, 92, 93],
+    160: [91, 92, 93],
+    170: [91, 92, 93],
+    180: [91, 92, 93],
+    190: [91, 92, 93],
+    200: [91, 92, 93],
+    210: [91, 92, 93],
+    220: [91, 92, 93],
+    230: [91, 92, 93, 94],
+    240: [91, 92, 93, 94],
+    250: [91, 92, 93, 94],
+    260: [91, 92, 93, 94, 95],
+    270: [91, 92, 93, 94, 95],
+    280: [91, 92, 93, 94, 95],
+    290: [91, 92, 93, 94, 95],
+    300: [92, 93, 94, 95],
+    310: [91, 92, 93, 94, 95, 96],
+    320: [91, 92, 93, 94, 95, 96],
+    330: [91, 92, 93, 94, 95, 96],
+    340: [91, 92, 93, 94, 95, 96, 97, 98],
+    350: [92, 93, 94, 95, 96, 97],
+    360: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    370: [93, 94, 95, 96, 97, 98],
+    380: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    390: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    400: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    410: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    420: [92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109]
+  },
+  120: {
+    0: [90],
+    10: [90],
+    20: [90],
+    30: [89, 90, 91],
+    40: [89, 90, 91],
+    50: [89, 90, 91],
+    60: [89, 90, 91],
+    70: [89, 90, 91],
+    80: [89, 90, 91],
+    90: [89, 90, 91],
+    100: [89, 90, 91],
+    110: [89, 90, 91],
+    120: [89, 90, 91],
+    130: [89, 90, 91],
+    140: [89, 90, 91],
+    150: [89, 90, 91],
+    160: [89, 90, 91],
+    170: [89, 90, 91],
+    180: [89, 90, 91],
+    190: [89, 90, 91],
+    200: [89, 90, 91],
+    210: [89, 90, 91],
+    220: [89, 90, 91],
+    230: [88, 89, 90, 91, 92],
+    240: [88, 89, 90, 91, 92],
+    250: [89, 90, 91],
+    260: [88, 89, 90, 91, 92],
+    270: [88, 89, 90, 91, 92],
+    280: [88, 89, 90, 91, 92],
+    290: [88, 89, 90, 91, 92],
+    300: [88, 89, 90, 91, 92],
+    310: [87, 88, 89, 90, 91, 92, 93],
+    320: [87, 88, 89, 90, 91, 92, 93],
+    330: [87, 88, 89, 90, 91, 92, 93],
+    340: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    350: [88, 89, 90, 91, 92],
+    360: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    370: [87, 88, 89, 90, 91, 92, 93],
+    380: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    390: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    400: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    410: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    420: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98]
+  },
+  130: {
+    0: [89],
+    10: [89],
+    20: [89],
+    30: [88, 89],
+    40: [88, 89],
+    50: [88, 89],
+    60: [88, 89],
+    70: [88, 89],
+    80: [88, 89],
+    90: [88, 89],
+    100: [88, 89],
+    110: [88, 89],
+    120: [88, 89],
+    130: [88, 89],
+    140: [88, 89],
+    150: [87, 88, 89],
+    160: [87, 88, 89],
+    170: [87, 88, 89],
+    180: [87, 88, 89],
+    190: [87, 88, 89],
+    200: [87, 88, 89],
+    210: [87, 88, 89],
+    220: [87, 88, 89],
+    230: [86, 87, 88, 89],
+    240: [86, 87, 88, 89],
+    250: [86, 87, 88, 89],
+    260: [85, 86, 87, 88, 89],
+    270: [85, 86, 87, 88, 89],
+    280: [85, 86, 87, 88, 89],
+    290: [85, 86, 87, 88, 89],
+    300: [85, 86, 87, 88],
+    310: [84, 85, 86, 87, 88, 89],
+    320: [84, 85, 86, 87, 88, 89],
+    330: [84, 85, 86, 87, 88, 89],
+    340: [82, 83, 84, 85, 86, 87, 88, 89],
+    350: [83, 84, 85, 86, 87, 88],
+    360: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    370: [82, 83, 84, 85, 86, 87],
+    380: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    390: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    400: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    410: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88],
+    420: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88]
+  },
+  140: {
+    0: [88, 89],
+    10: [88, 89],
+    20: [88, 89],
+    30: [87, 88, 89],
+    40: [87, 88, 89],
+    50: [87, 88, 89],
+    60: [87, 88, 89],
+    70: [87, 88, 89],
+    80: [87, 88, 89],
+    90: [87, 88, 89],
+    100: [87, 88, 89],
+    110: [86, 87, 88, 89],
+    120: [86, 87, 88, 89],
+    130: [86, 87, 88, 89],
+    140: [86, 87, 88, 89],
+    150: [86, 87, 88, 89],
+    160: [86, 87, 88, 89],
+    170: [86, 87, 88, 89],
+    180: [86, 87, 89],
+    190: [85, 86, 87, 88, 89],
+    200: [85, 86, 87, 88, 89],
+    210: [85, 86, 87, 89],
+    220: [85, 86, 87, 89],
+    230: [84, 85, 86, 87, 89],
+    240: [84, 85, 86, 87, 89],
+    250: [84, 85, 86, 87, 89],
+    260: [83, 84, 85, 86, 87, 89],
+    270: [83, 84, 85, 86, 89],
+    280: [82, 83, 84, 85, 86, 89],
+    290: [82, 83, 84, 85, 86, 87, 89],
+    300: [82, 83, 84, 85, 89],
+    310: [81, 82, 83, 84, 85, 86, 89],
+    320: [80, 81, 82, 83, 84, 85, 89],
+    330: [80, 81, 82, 83, 84, 85, 89],
+    340: [78, 79, 80, 81, 82, 83, 84, 85, 89],
+    350: [79, 80, 81, 82, 83, 84, 89],
+    360: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    370: [78, 79, 80, 81, 89],
+    380: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    390: [74, 75, 76, 77, 78, 79, 80, 89],
+    400: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    410: [69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    420: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 89],
+    430: [89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  150: {
+    0: [87, 88, 89],
+    10: [87, 88, 89],
+    20: [87, 89],
+    30: [86, 87, 89],
+    40: [86, 87, 89],
+    50: [86, 87, 89],
+    60: [86, 87, 89],
+    70: [86, 87, 89],
+    80: [86, 87, 89],
+    90: [85, 86, 87, 89],
+    100: [85, 86, 87, 89],
+    110: [85, 86, 87, 89],
+    120: [85, 86, 87, 89],
+    130: [85, 86, 89],
+    140: [85, 86, 89],
+    150: [84, 85, 86, 89],
+    160: [84, 85, 86, 89],
+    170: [84, 85, 86, 89],
+    180: [84, 85, 86, 89],
+    190: [83, 84, 85, 86, 89],
+    200: [83, 84, 85, 86, 89],
+    210: [83, 84, 85, 89],
+    220: [82, 83, 84, 85, 89],
+    230: [82, 83, 84, 85, 89],
+    240: [82, 83, 84, 85, 89],
+    250: [81, 82, 83, 84, 89],
+    260: [81, 82, 83, 84, 89],
+    270: [81, 82, 83, 84, 89],
+    280: [80, 81, 82, 83, 84, 89],
+    290: [79, 80, 81, 82, 83, 84, 89],
+    300: [79, 80, 81, 82, 89],
+    310: [77, 78, 79, 80, 81, 82, 83, 89],
+    320: [77, 78, 79, 80, 81, 89],
+    330: [76, 77, 78, 79, 80, 81, 82, 89],
+    340: [75, 76, 77, 78, 79, 80, 81, 89],
+    350: [74, 75, 76, 77, 78, 79, 80, 89],
+    360: [72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    370: [71, 72, 73, 74, 75, 76, 77, 78, 89],
+    380: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    390: [67, 68, 69, 70, 71, 72, 73, 74, 89],
+    400: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 89],
+    410: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 89],
+    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 89],
+    430: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  160: {
+    0: [86, 87, 88],
+    10: [86, 87, 88],
+    20: [85, 86, 88],
+    30: [85, 86, 88],
+    40: [85, 86, 88],
+    50: [85, 86, 88],
+    60: [85, 86, 88],
+    70: [85, 86, 88],
+    80: [84, 85, 86, 88],
+    90: [84, 85, 86, 88],
+    100: [84, 85, 86, 88],
+    110: [84, 85, 88],
+    120: [84, 85, 88],
+    130: [83, 84, 85, 88],
+    140: [83, 84, 85, 88],
+    150: [83, 84, 85, 88],
+    160: [82, 83, 84, 85, 88],
+    170: [82, 83, 84, 88],
+    180: [82, 83, 84, 88],
+    190: [81, 82, 83, 84, 88],
+    200: [81, 82, 83, 84, 88],
+    210: [81, 82, 83, 88],
+    220: [80, 81, 82, 83, 88],
+    230: [80, 81, 82, 83, 88],
+    240: [80, 81, 82, 88],
+    250: [79, 80, 81, 82, 88],
+    260: [78, 79, 80, 81, 82, 88],
+    270: [78, 79, 80, 81, 88],
+    280: [77, 78, 79, 80, 81, 88],
+    290: [76, 77, 78, 79, 80, 88],
+    300: [76, 77, 78, 79, 80, 88],
+    310: [74, 75, 76, 77, 78, 79, 80],
+    320: [75, 76, 77, 78],
+    330: [72, 73, 74, 75, 76, 77, 78],
+    340: [72, 73, 74, 75, 76],
+    350: [69, 70, 71, 72, 73, 74, 75, 76],
+    360: [68, 69, 70, 71, 72, 73, 74],
+    370: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
+    380: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
+    390: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
+    400: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    410: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    420: [50, 51, 52, 53, 54, 55, 56, 57, 58],
+    430: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    440: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49]
+  },
+  170: {
+    0: [85, 86, 88],
+    10: [85, 86, 88],
+    20: [84, 85, 88],
+    30: [84, 85, 88],
+    40: [84, 85, 88],
+    50: [84, 85, 88],
+    60: [84, 85, 88],
+    70: [83, 84, 85, 88],
+    80: [83, 84, 85, 88],
+    90: [83, 84, 88],
+    100: [83, 84, 88],
+    110: [82, 83, 84, 88],
+    120: [82, 83, 84, 88],
+    130: [82, 83, 84, 88],
+    140: [82, 83, 88],
+    150: [81, 82, 83, 88],
+    160: [81, 82, 83, 88],
+    170: [81, 82, 88],
+    180: [80, 81, 82, 88],
+    190: [80, 81, 82, 88],
+    200: [79, 80, 81, 82, 88],
+    210: [79, 80, 81, 88],
+    220: [78, 79, 80, 81, 88],
+    230: [78, 79, 80, 81, 88],
+    240: [78, 79, 80, 88],
+    250: [76, 77, 78, 79, 80, 88],
+    260: [76, 77, 78, 79, 88],
+    270: [75, 76, 77, 78, 79, 88],
+    280: [74, 75, 76, 77, 78, 79, 88],
+    290: [74, 75, 76, 77, 88],
+    300: [72, 73, 74, 75, 76, 77, 88],
+    310: [71, 72, 73, 74, 75, 76, 88],
+    320: [70, 71, 72, 73, 74, 75, 88],
+    330: [69, 70, 71, 72, 73, 74, 75, 88],
+    340: [68, 69, 70, 71, 72, 88],
+    350: [65, 66, 67, 68, 69, 70, 71, 72, 88],
+    360: [65, 66, 67, 68, 69, 88],
+    370: [61, 62, 63, 64, 65, 66, 67, 68, 69, 88],
+    380: [61, 62, 63, 64, 65, 88],
+    390: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 88],
+    400: [53, 54, 55, 56, 57, 58, 59, 60, 88],
+    410: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 88],
+    420: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 88],
+    430: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 88],
+    440: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 88],
+    450: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 88],
+    460: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 88],
+    470: [3, 4, 5, 6, 7, 8, 9, 88],
+    480: [88, 352, 353, 354, 355, 356, 357],
+    490: [88, 344, 345, 346, 347, 348, 349, 350]
+  },
+  180: {
+    0: [84, 85, 87],
+    10: [84, 85, 87],
+    20: [83, 84, 87],
+    30: [83, 84, 87],
+    40: [83, 84, 87],
+    50: [83, 84, 87],
+    60: [82, 83, 84, 87],
+    70: [82, 83, 87],
+    80: [82, 83, 87],
+    90: [82, 83, 87],
+    100: [81, 82, 83, 87],
+    110: [81, 82, 83, 87],
+    120: [81, 82, 87],
+    130: [80, 81, 82, 87],
+    140: [80, 81, 82, 87],
+    150: [80, 81, 82],
+    160: [79, 80, 81],
+    170: [79, 80, 81],
+    180: [78, 79, 80, 81],
+    190: [78, 79, 80],
+    200: [78, 79, 80],
+    210: [77, 78, 79, 80],
+    220: [76, 77, 78, 79],
+    230: [76, 77, 78],
+    240: [75, 76, 77, 78],
+    250: [74, 75, 76, 77, 78],
+    260: [74, 75, 76, 77],
+    270: [73, 74, 75, 76, 77],
+    280: [72, 73, 74, 75, 76],
+    290: [71, 72, 73, 74, 75],
+    300: [69, 70, 71, 72, 73, 74],
+    310: [69, 70, 71, 72],
+    320: [67, 68, 69, 70, 71, 72],
+    330: [66, 67, 68, 69, 70, 71],
+    340: [64, 65, 66, 67, 68, 69, 70],
+    350: [62, 63, 64, 65, 66, 67, 68, 88],
+    360: [60, 61, 62, 63, 64, 65, 66, 67, 88],
+    370: [57, 58, 59, 60, 61, 62, 63, 64, 88],
+    380: [54, 55, 56, 57, 58, 59, 60, 61, 62, 88],
+    390: [51, 52, 53, 54, 55, 56, 57, 58, 59],
+    400: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 88],
+    410: [46, 47, 48, 49, 50, 88],
+    420: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 88],
+    430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 88],
+    440: [29, 30, 31, 32, 33, 88],
+    450: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 88],
+    460: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 88, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 88, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [88, 344, 345, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355],
+    500: [344, 345]
+  },
+  190: {
+    0: [83, 84, 87],
+    10: [83, 84, 87],
+    20: [82, 83, 87],
+    30: [82, 83, 87],
+    40: [82, 83, 87],
+    50: [82, 83, 87],
+    60: [81, 82, 83, 87],
+    70: [81, 82, 87],
+    80: [81, 82, 87],
+    90: [81, 82, 87],
+    100: [80, 81, 82, 87],
+    110: [80, 81, 87],
+    120: [79, 80, 81, 87],
+    130: [79, 80, 81, 87],
+    140: [79, 80, 81, 87],
+    150: [78, 79, 80, 87],
+    160: [78, 79, 80, 87],
+    170: [77, 78, 79, 87],
+    180: [77, 78, 79, 87],
+    190: [76, 77, 78, 79, 87],
+    200: [76, 77, 78, 87],
+    210: [75, 76, 77, 78, 87],
+    220: [74, 75, 76, 77, 87],
+    230: [74, 75, 76, 87],
+    240: [73, 74, 75, 76, 87],
+    250: [72, 73, 74, 75, 87],
+    260: [72, 73, 74, 87],
+    270: [70, 71, 72, 73, 74, 87],
+    280: [70, 71, 72, 73, 87],
+    290: [68, 69, 70, 71, 72, 87],
+    300: [67, 68, 69, 70, 71, 87],
+    310: [66, 67, 68, 69, 70, 87],
+    320: [64, 65, 66, 67, 68, 69, 87],
+    330: [63, 64, 65, 66, 67, 87],
+    340: [60, 61, 62, 63, 64, 65, 66, 67, 87],
+    350: [60, 61, 62, 63, 87],
+    360: [56, 57, 58, 59, 60, 61, 62, 63, 87],
+    370: [55, 56, 57, 58, 59, 87],
+    380: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
+    390: [48, 49, 50, 51, 52, 53, 54, 55, 87],
+    400: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 87],
+    410: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 87],
+    420: [37, 38, 39, 40, 41, 87],
+    430: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 87],
+    440: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 87],
+    450: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 87],
+    460: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 87],
+    470: [2, 3, 4, 5, 6, 7, 87],
+    480: [354, 355, 356, 357, 358, 359],
+    490: [87, 349, 350, 351, 352, 353]
+  },
+  200: {
+    0: [82, 83, 86],
+    10: [82, 83, 86],
+    20: [81, 82, 86],
+    30: [81, 82, 86],
+    40: [81, 82, 86],
+    50: [81, 82, 86],
+    60: [80, 81, 86],
+    70: [80, 81, 86],
+    80: [80, 81, 86],
+    90: [79, 80, 81, 86],
+    100: [79, 80],
+    110: [78, 79, 80],
+    120: [78, 79, 80],
+    130: [78, 79],
+    140: [77, 78, 79],
+    150: [77, 78],
+    160: [76, 77, 78],
+    170: [76, 77, 78],
+    180: [75, 76, 77],
+    190: [75, 76, 77, 87],
+    200: [74, 75, 76, 87],
+    210: [73, 74, 75, 76, 87],
+    220: [73, 74, 75, 87],
+    230: [72, 73, 74, 75, 87],
+    240: [71, 72, 73, 74, 87],
+    250: [70, 71, 72, 73, 87],
+    260: [69, 70, 71, 72, 73, 87],
+    270: [68, 69, 70, 71, 72, 87],
+    280: [68, 69, 70, 87],
+    290: [66, 67, 68, 69, 70, 87],
+    300: [65, 66, 67, 68, 87],
+    310: [63, 64, 65, 66, 67, 68, 87],
+    320: [62, 63, 64, 65, 66, 87],
+    330: [60, 61, 62, 63, 64, 65, 87],
+    340: [58, 59, 60, 61, 62, 63, 87],
+    350: [55, 56, 57, 58, 59, 60, 61, 87],
+    360: [53, 54, 55, 56, 57, 58, 59, 87],
+    370: [50, 51, 52, 53, 54, 55, 56, 57, 87],
+    380: [48, 49, 50, 51, 52, 53, 87],
+    390: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 87],
+    400: [41, 42, 43, 44, 45, 46, 47, 87],
+    410: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 87],
+    420: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 87],
+    430: [26, 27, 28, 29, 30, 31, 32, 33, 34, 87],
+    440: [21, 22, 23, 24, 25, 26, 27, 87],
+    450: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 87],
+    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 87, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 87, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [87, 349, 350, 351, 352, 353, 354, 355, 356],
+    500: [349]
+  },
+  210: {
+    0: [81, 82, 86],
+    10: [81, 82, 86],
+    20: [81, 86],
+    30: [80, 81, 86],
+    40: [80, 81, 86],
+    50: [80, 81, 86],
+    60: [79, 80, 86],
+    70: [79, 80, 86],
+    80: [78, 79, 80, 86],
+    90: [78, 79, 86],
+    100: [78, 79, 86],
+    110: [77, 78, 79, 86],
+    120: [77, 78, 86],
+    130: [76, 77, 78, 86],
+    140: [76, 77, 86],
+    150: [75, 76, 77, 86],
+    160: [75, 76, 77, 86],
+    170: [74, 75, 76, 86],
+    180: [74, 75, 76, 86],
+    190: [73, 74, 75, 86],
+    200: [72, 73, 74, 75, 86],
+    210: [71, 72, 73, 74, 86],
+    220: [71, 72, 73, 86],
+    230: [70, 71, 72, 73, 86],
+    240: [69, 70, 71, 72, 86],
+    250: [68, 69, 70, 71, 86],
+    260: [67, 68, 69, 70, 71, 86],
+    270: [66, 67, 68, 69, 86],
+    280: [65, 66, 67, 68, 69, 86],
+    290: [63, 64, 65, 66, 67, 86],
+    300: [62, 63, 64, 65, 66],
+    310: [60, 61, 62, 63, 64, 65],
+    320: [59, 60, 61, 62, 63],
+    330: [57, 58, 59, 60, 61, 62],
+    340: [56, 57, 58, 59, 60],
+    350: [52, 53, 54, 55, 56, 57, 58],
+    360: [51, 52, 53, 54, 55, 56],
+    370: [47, 48, 49, 50, 51, 52, 53, 54],
+    380: [44, 45, 46, 47, 48, 49, 50, 51],
+    390: [42, 43, 44, 45, 46, 47],
+    400: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    410: [33, 34, 35, 36, 37, 38, 39, 40],
+    420: [29, 30, 31, 32, 33, 34, 35],
+    430: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27],
+    450: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21],
+    460: [7, 8, 9, 10, 11, 12, 13, 14],
+    470: [2, 3, 4, 5, 6, 7],
+    480: [0, 355, 356, 357, 358, 359],
+    490: [351, 352, 353, 354, 355]
+  },
+  220: {
+    0: [80, 81, 85],
+    10: [80, 81, 85],
+    20: [80, 81, 85],
+    30: [79, 80, 85],
+    40: [79, 80, 85],
+    50: [78, 79, 80, 85],
+    60: [78, 79, 85],
+    70: [78, 79],
+    80: [77, 78, 79],
+    90: [77, 78],
+    100: [76, 77, 78],
+    110: [76, 77, 86],
+    120: [75, 76, 77, 86],
+    130: [75, 76, 77, 86],
+    140: [75, 76, 86],
+    150: [74, 75, 76, 86],
+    160: [73, 74, 75, 86],
+    170: [73, 74, 75, 86],
+    180: [72, 73, 74, 86],
+    190: [71, 72, 73, 74, 86],
+    200: [71, 72, 73, 86],
+    210: [70, 71, 72, 86],
+    220: [69, 70, 71, 72, 86],
+    230: [68, 69, 70, 71, 86],
+    240: [68, 69, 70, 86],
+    250: [66, 67, 68, 69, 86],
+    260: [65, 66, 67, 68, 86],
+    270: [64, 65, 66, 67, 86],
+    280: [62, 63, 64, 65, 66, 86],
+    290: [62, 63, 64, 86],
+    300: [60, 61, 62, 63, 64, 86],
+    310: [59, 60, 61, 62, 86],
+    320: [56, 57, 58, 59, 60, 61, 86],
+    330: [55, 56, 57, 58, 86],
+    340: [52, 53, 54, 55, 56, 57, 58, 86],
+    350: [51, 52, 53, 54, 86],
+    360: [47, 48, 49, 50, 51, 52, 53, 86],
+    370: [46, 47, 48, 49, 50, 86],
+    380: [41, 42, 43, 44, 45, 46, 47, 48, 86],
+    390: [38, 39, 40, 41, 42, 43, 44, 45, 86],
+    400: [36, 37, 38, 39, 40, 86],
+    410: [30, 31, 32, 33, 34, 35, 36, 37, 38, 86],
+    420: [26, 27, 28, 29, 30, 31, 32, 33, 34, 86],
+    430: [22, 23, 24, 25, 26, 27, 28, 86],
+    440: [17, 18, 19, 20, 21, 22, 23, 86],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 86],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 86, 359],
+    480: [0, 1, 2, 3, 86, 353, 354, 355, 356, 357, 358, 359],
+    490: [86, 351, 352, 353, 354, 355, 356, 357],
+    500: [351]
+  },
+  230: {
+    0: [79, 80, 85],
+    10: [79, 80, 85],
+    20: [79, 80, 85],
+    30: [78, 79, 85],
+    40: [78, 79, 85],
+    50: [77, 78, 79, 85],
+    60: [77, 78, 85],
+    70: [77, 78, 85],
+    80: [76, 77, 85],
+    90: [76, 77, 85],
+    100: [75, 76, 77, 85],
+    110: [75, 76, 85],
+    120: [74, 75, 76, 85],
+    130: [74, 75, 85],
+    140: [73, 74, 75, 85],
+    150: [72, 73, 74, 85],
+    160: [72, 73, 74, 85],
+    170: [71, 72, 73, 85],
+    180: [71, 72, 73, 85],
+    190: [70, 71, 72, 85],
+    200: [69, 70, 71, 85],
+    210: [68, 69, 70, 71, 85],
+    220: [67, 68, 69, 70],
+    230: [66, 67, 68, 69],
+    240: [65, 66, 67, 68],
+    250: [64, 65, 66, 67],
+    260: [64, 65, 66],
+    270: [62, 63, 64, 65],
+    280: [61, 62, 63, 64],
+    290: [59, 60, 61, 62, 63],
+    300: [58, 59, 60, 61],
+    310: [56, 57, 58, 59, 60],
+    320: [54, 55, 56, 57, 58],
+    330: [52, 53, 54, 55, 56, 57],
+    340: [50, 51, 52, 53, 54, 55, 86],
+    350: [47, 48, 49, 50, 51, 52, 53, 86],
+    360: [45, 46, 47, 48, 49, 50, 86],
+    370: [42, 43, 44, 45, 46, 47, 48, 86],
+    380: [40, 41, 42, 43, 44, 86],
+    390: [36, 37, 38, 39, 40, 41, 42, 86],
+    400: [32, 33, 34, 35, 36, 37, 38, 39, 86],
+    410: [30, 31, 32, 33, 34, 86],
+    420: [24, 25, 26, 27, 28, 29, 30, 31, 86],
+    430: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 86],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 86],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 86],
+    460: [6, 7, 8, 9, 10, 11, 12, 86],
+    470: [1, 2, 3, 4, 5, 6, 7, 86],
+    480: [0, 1, 86, 356, 357, 358, 359],
+    490: [86, 353, 354, 355, 356]
+  },
+  240: {
+    0: [79, 84],
+    10: [78, 79, 84],
+    20: [78, 79, 84],
+    30: [77, 78, 84],
+    40: [77, 78, 84],
+    50: [76, 77, 78],
+    60: [76, 77],
+    70: [76, 77],
+    80: [75, 76, 85],
+    90: [75, 76, 85],
+    100: [74, 75, 85],
+    110: [74, 75, 85],
+    120: [73, 74, 75, 85],
+    130: [72, 73, 74, 85],
+    140: [72, 73, 74, 85],
+    150: [71, 72, 73, 85],
+    160: [71, 72, 85],
+    170: [70, 71, 72, 85],
+    180: [69, 70, 71, 85],
+    190: [68, 69, 70, 85],
+    200: [68, 69, 70, 85],
+    210: [66, 67, 68, 69, 85],
+    220: [66, 67, 68, 85],
+    230: [65, 66, 67, 85],
+    240: [63, 64, 65, 66, 85],
+    250: [63, 64, 65, 85],
+    260: [61, 62, 63, 64, 85],
+    270: [60, 61, 62, 63, 85],
+    280: [59, 60, 61, 62, 85],
+    290: [57, 58, 59, 60, 61, 85],
+    300: [56, 57, 58, 59, 85],
+    310: [54, 55, 56, 57, 58, 85],
+    320: [53, 54, 55, 56, 85],
+    330: [50, 51, 52, 53, 54, 85],
+    340: [48, 49, 50, 51, 52, 85],
+    350: [45, 46, 47, 48, 49, 50, 85],
+    360: [43, 44, 45, 46, 47, 48, 85],
+    370: [40, 41, 42, 43, 44, 45, 85],
+    380: [37, 38, 39, 40, 41, 42, 43, 85],
+    390: [34, 35, 36, 37, 38, 39, 85],
+    400: [31, 32, 33, 34, 35, 36, 85],
+    410: [26, 27, 28, 29, 30, 31, 32, 33, 85],
+    420: [23, 24, 25, 26, 27, 28, 29, 30],
+    430: [20, 21, 22, 23, 24],
+    440: [15, 16, 17, 18, 19, 20, 85],
+    450: [9, 10, 11, 12, 13, 14, 15, 16],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 12],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 359],
+    480: [0, 1, 2, 3, 355, 356, 357, 358, 359],
+    490: [353, 354, 355, 356, 357, 358],
+    500: [353]
+  },
+  250: {
+    0: [78, 84],
+    10: [77, 78, 84],
+    20: [77, 78, 84],
+    30: [76, 77, 84],
+    40: [76, 77, 84],
+    50: [75, 76, 77, 84],
+    60: [75, 76, 84],
+    70: [75, 76, 84],
+    80: [74, 75, 84],
+    90: [74, 75, 84],
+    100: [73, 74, 84],
+    110: [72, 73, 74, 84],
+    120: [72, 73, 84],
+    130: [71, 72, 73, 84],
+    140: [71, 72, 84],
+    150: [70, 71, 72, 84],
+    160: [69, 70, 71, 84],
+    170: [68, 69, 70],
+    180: [68, 69, 70],
+    190: [67, 68, 69],
+    200: [66, 67, 68],
+    210: [65, 66, 67],
+    220: [64, 65, 66],
+    230: [63, 64, 65, 66, 85],
+    240: [62, 63, 64, 85],
+    250: [61, 62, 63, 64, 85],
+    260: [59, 60, 61, 62, 85],
+    270: [59, 60, 61, 85],
+    280: [57, 58, 59, 60, 85],
+    290: [56, 57, 58, 85],
+    300: [53, 54, 55, 56, 57, 85],
+    310: [52, 53, 54, 55, 85],
+    320: [50, 51, 52, 53, 54, 85],
+    330: [49, 50, 51, 85],
+    340: [45, 46, 47, 48, 49, 50, 85],
+    350: [44, 45, 46, 47, 48, 85],
+    360: [41, 42, 43, 44, 45, 46, 85],
+    370: [38, 39, 40, 41, 42, 43, 85],
+    380: [36, 37, 38, 39, 85],
+    390: [32, 33, 34, 35, 36, 37, 38, 85],
+    400: [29, 30, 31, 32, 33, 34, 35, 85],
+    410: [27, 28, 29, 30, 85],
+    420: [21, 22, 23, 24, 25, 26, 27, 85],
+    430: [17, 18, 19, 20, 21, 22, 23, 24, 85],
+    440: [13, 14, 15, 16, 17, 18, 19, 20, 85],
+    450: [9, 10, 11, 12, 13, 14, 15, 16, 85],
+    460: [5, 6, 7, 8, 9, 10, 11, 85],
+    470: [1, 2, 3, 4, 5, 6, 85],
+    480: [0, 1, 2, 85, 357, 358, 359],
+    490: [85, 355, 356, 357, 358],
+    500: [85]
+  },
+  260: {
+    0: [77, 78, 83],
+    10: [76, 77, 83],
+    20: [76, 77, 83],
+    30: [75, 76, 83],
+    40: [75, 76, 83],
+    50: [74, 75, 76],
+    60: [74, 75, 84],
+    70: [73, 74, 75, 84],
+    80: [73, 74, 84],
+    90: [72, 73, 74, 84],
+    100: [72, 73, 84],
+    110: [71, 72, 73, 84],
+    120: [71, 72, 84],
+    130: [70, 71, 84],
+    140: [69, 70, 71, 84],
+    150: [69, 70, 84],
+    160: [68, 69, 70, 84],
+    170: [67, 68, 69, 84],
+    180: [66, 67, 68, 84],
+    190: [65, 66, 67, 68, 84],
+    200: [64, 65, 66, 67, 84],
+    210: [64, 65, 66, 84],
+    220: [62, 63, 64, 65, 84],
+    230: [61, 62, 63, 64, 84],
+    240: [60, 61, 62, 63, 84],
+    250: [59, 60, 61, 62, 84],
+    260: [58, 59, 60, 84],
+    270: [56, 57, 58, 59, 60, 84],
+    280: [55, 56, 57, 58, 84],
+    290: [53, 54, 55, 56, 57, 84],
+    300: [52, 53, 54, 55, 84],
+    310: [50, 51, 52, 53, 54, 84],
+    320: [48, 49, 50, 51, 52, 84],
+    330: [46, 47, 48, 49, 50],
+    340: [44, 45, 46, 47],
+    350: [41, 42, 43, 44, 45, 46],
+    360: [40, 41, 42, 43],
+    370: [36, 37, 38, 39, 40, 41],
+    380: [33, 34, 35, 36, 37, 38, 39],
+    390: [31, 32, 33, 34, 35],
+    400: [27, 28, 29, 30, 31, 32],
+    410: [23, 24, 25, 26, 27, 28, 29, 30],
+    420: [20, 21, 22, 23, 24, 25, 26],
+    430: [18, 19, 20, 21, 22],
+    440: [14, 15, 16, 17],
+    450: [9, 10, 11, 12, 13, 14, 85],
+    460: [4, 5, 6, 7, 8, 9, 10, 11],
+    470: [0, 1, 2, 3, 4, 5, 6, 7],
+    480: [0, 1, 2, 3, 85, 356, 357, 358, 359],
+    490: [85, 355, 356, 357, 358, 359]
+  },
+  270: {
+    0: [76, 77, 83],
+    10: [75, 76, 83],
+    20: [75, 76, 83],
+    30: [75, 76, 83],
+    40: [74, 75, 83],
+    50: [74, 75, 83],
+    60: [73, 74, 83],
+    70: [72, 73, 74, 83],
+    80: [72, 73, 83],
+    90: [71, 72, 73, 83],
+    100: [71, 72, 83],
+    110: [70, 71, 83],
+    120: [70, 71, 83],
+    130: [69, 70, 83],
+    140: [68, 69, 70],
+    150: [67, 68, 69],
+    160: [67, 68],
+    170: [66, 67, 68, 84],
+    180: [65, 66, 67, 84],
+    190: [64, 65, 66, 84],
+    200: [63, 64, 65, 84],
+    210: [62, 63, 64, 84],
+    220: [61, 62, 63, 84],
+    230: [60, 61, 62, 84],
+    240: [59, 60, 61, 84],
+    250: [58, 59, 60, 84],
+    260: [56, 57, 58, 59, 84],
+    270: [55, 56, 57, 58, 84],
+    280: [53, 54, 55, 56, 84],
+    290: [52, 53, 54, 55, 84],
+    300: [50, 51, 52, 53, 84],
+    310: [48, 49, 50, 51, 52, 84],
+    320: [46, 47, 48, 49, 50, 84],
+    330: [44, 45, 46, 47, 48, 84],
+    340: [42, 43, 44, 45, 46, 84],
+    350: [40, 41, 42, 43, 84],
+    360: [37, 38, 39, 40, 41, 42, 84],
+    370: [35, 36, 37, 38, 39, 84],
+    380: [32, 33, 34, 35, 36, 84],
+    390: [29, 30, 31, 32, 33, 34, 84],
+    400: [26, 27, 28, 29, 30, 31, 84],
+    410: [24, 25, 26, 27, 84],
+    420: [19, 20, 21, 22, 23, 24, 84],
+    430: [15, 16, 17, 18, 19, 20, 21, 22, 84],
+    440: [12, 13, 14, 15, 16, 17, 18, 84],
+    450: [8, 9, 10, 11, 12, 13, 14, 84],
+    460: [5, 6, 7, 8, 9, 10, 84],
+    470: [1, 2, 3, 4, 5, 6, 84],
+    480: [0, 1, 2, 3, 84, 358, 359],
+    490: [356, 357, 358, 359]
+  },
+  280: {
+    0: [75, 76, 82],
+    10: [75, 76, 82],
+    20: [74, 75, 82],
+    30: [74, 75, 82],
+    40: [73, 74],
+    50: [73, 74, 83],
+    60: [72, 73, 83],
+    70: [72, 73, 83],
+    80: [71, 72, 83],
+    90: [70, 71, 72, 83],
+    100: [70, 71, 83],
+    110: [69, 70, 83],
+    120: [68, 69, 70, 83],
+    130: [68, 69, 83],
+    140: [67, 68, 83],
+    150: [66, 67, 68, 83],
+    160: [65, 66, 67, 83],
+    170: [64, 65, 66, 83],
+    180: [64, 65, 83],
+    190: [63, 64, 65, 83],
+    200: [62, 63, 64, 83],
+    210: [61, 62, 63, 83],
+    220: [60, 61, 62, 83],
+    230: [58, 59, 60, 61, 83],
+    240: [57, 58, 59],
+    250: [56, 57, 58, 59],
+    260: [55, 56, 57],
+    270: [54, 55, 56],
+    280: [52, 53, 54, 55],
+    290: [51, 52, 53],
+    300: [48, 49, 50, 51, 52],
+    310: [47, 48, 49, 50],
+    320: [45, 46, 47, 48],
+    330: [43, 44, 45, 46, 84],
+    340: [41, 42, 43, 44, 84],
+    350: [38, 39, 40, 41, 42, 43, 84],
+    360: [37, 38, 39, 84],
+    370: [33, 34, 35, 36, 37, 38, 84],
+    380: [31, 32, 33, 34, 35, 84],
+    390: [29, 30, 31, 32, 84],
+    400: [25, 26, 27, 28, 29, 84],
+    410: [21, 22, 23, 24, 25, 26, 27, 84],
+    420: [18, 19, 20, 21, 22, 23, 24, 84],
+    430: [16, 17, 18, 19, 20, 84],
+    440: [13, 14, 15, 84],
+    450: [9, 10, 11, 12, 13, 84],
+    460: [5, 6, 7, 8, 9, 10, 84],
+    470: [1, 2, 3, 4, 5, 6, 84],
+    480: [0, 1, 2, 3, 84, 357, 358, 359],
+    490: [84, 356, 357, 358, 359]
+  },
+  290: {
+    0: [74, 75, 82],
+    10: [74, 75, 82],
+    20: [73, 74, 82],
+    30: [73, 74, 82],
+    40: [72, 73, 82],
+    50: [72, 73, 82],
+    60: [71, 72, 82],
+    70: [71, 72, 82],
+    80: [70, 71, 82],
+    90: [69, 70, 71, 82],
+    100: [69, 70, 82],
+    110: [68, 69],
+    120: [67, 68, 69],
+    130: [67, 68],
+    140: [66, 67],
+    150: [65, 66, 67, 83],
+    160: [64, 65, 66, 83],
+    170: [63, 64, 65, 83],
+    180: [63, 64, 83],
+    190: [61, 62, 63, 83],
+    200: [60, 61, 62, 83],
+    210: [60, 61, 83],
+    220: [58, 59, 60, 61, 83],
+    230: [57, 58, 59, 83],
+    240: [56, 57, 58, 83],
+    250: [54, 55, 56, 57, 83],
+    260: [54, 55, 56, 83],
+    270: [52, 53, 54, 55, 83],
+    280: [51, 52, 53, 83],
+    290: [48, 49, 50, 51, 52, 83],
+    300: [48, 49, 50, 83],
+    310: [45, 46, 47, 48, 49, 83],
+    320: [44, 45, 46, 83],
+    330: [41, 42, 43, 44, 45, 83],
+    340: [39, 40, 41, 42, 43, 83],
+    350: [37, 38, 39, 40, 83],
+    360: [34, 35, 36, 37, 38, 39, 83],
+    370: [32, 33, 34, 35, 36, 83],
+    380: [30, 31, 32, 33, 83],
+    390: [26, 27, 28, 29, 30, 31, 83],
+    400: [24, 25, 26, 27, 28, 29],
+    410: [22, 23, 24, 25],
+    420: [18, 19, 20, 21, 22],
+    430: [14, 15, 16, 17, 18, 19, 20],
+    440: [11, 12, 13, 14, 15, 16, 17],
+    450: [8, 9, 10, 11, 12, 13],
+    460: [5, 6, 7, 8, 9, 10],
+    470: [1, 2, 3, 4, 5, 6],
+    480: [0, 1, 2, 3, 358, 359],
+    490: [0, 357, 358, 359]
+  },
+  300: {
+    0: [74, 81],
+    10: [73, 74, 81],
+    20: [73, 81],
+    30: [72, 73, 81],
+    40: [71, 72, 82],
+    50: [71, 72, 82],
+    60: [70, 71, 82],
+    70: [70, 71, 82],
+    80: [69, 70, 82],
+    90: [68, 69, 82],
+    100: [68, 69, 82],
+    110: [67, 68, 82],
+    120: [66, 67, 68, 82],
+    130: [65, 66, 67, 82],
+    140: [65, 66, 82],
+    150: [64, 65, 82],
+    160: [63, 64, 82],
+    170: [62, 63, 64, 82],
+    180: [61, 62, 63, 82],
+    190: [60, 61, 62, 82],
+    200: [59, 60, 61, 82],
+    210: [58, 59, 60],
+    220: [57, 58, 59],
+    230: [56, 57, 58],
+    240: [54, 55, 56, 57],
+    250: [54, 55, 56],
+    260: [52, 53, 54, 55],
+    270: [51, 52, 53, 83],
+    280: [49, 50, 51, 52, 83],
+    290: [47, 48, 49, 50, 83],
+    300: [45, 46, 47, 48, 49, 83],
+    310: [44, 45, 46, 83],
+    320: [42, 43, 44, 45, 83],
+    330: [40, 41, 42, 43, 83],
+    340: [38, 39, 40, 41, 83],
+    350: [36, 37, 38, 39, 83],
+    360: [34, 35, 36, 83],
+    370: [31, 32, 33, 34, 35, 83],
+    380: [28, 29, 30, 31, 32, 33, 83],
+    390: [27, 28, 29, 83],
+    400: [23, 24, 25, 26, 27, 83],
+    410: [20, 21, 22, 23, 24, 25, 83],
+    420: [17, 18, 19, 20, 21, 22, 83],
+    430: [15, 16, 17, 18, 19, 83],
+    440: [12, 13, 14, 15, 83],
+    450: [9, 10, 11, 83],
+    460: [5, 6, 7, 8, 9, 83],
+    470: [2, 3, 4, 5, 6, 83],
+    480: [0, 1, 2, 3, 83, 358, 359],
+    490: [0, 83, 357, 358, 359]
+  },
+  310: {
+    0: [73, 74, 81],
+    10: [72, 73, 81],
+    20: [72, 73, 81],
+    30: [71, 72, 81],
+    40: [71, 72, 81],
+    50: [70, 71, 81],
+    60: [69, 70, 81],
+    70: [69, 70, 81],
+    80: [68, 69, 81],
+    90: [67, 68, 69, 81],
+    100: [67, 68],
+    110: [66, 67],
+    120: [65, 66, 67, 82],
+    130: [64, 65, 66, 82],
+    140: [64, 65, 82],
+    150: [63, 64, 82],
+    160: [62, 63, 64, 82],
+    170: [61, 62, 63, 82],
+    180: [60, 61, 62, 82],
+    190: [59, 60, 61, 82],
+    200: [58, 59, 60, 82],
+    210: [57, 58, 59, 82],
+    220: [56, 57, 58, 82],
+    230: [54, 55, 56, 57, 82],
+    240: [54, 55, 82],
+    250: [52, 53, 54, 82],
+    260: [51, 52, 53, 82],
+    270: [49, 50, 51, 52, 82],
+    280: [48, 49, 50, 82],
+    290: [46, 47, 48, 49, 82],
+    300: [44, 45, 46, 47, 82],
+    310: [42, 43, 44, 45, 46, 82],
+    320: [41, 42, 43],
+    330: [38, 39, 40, 41, 42],
+    340: [37, 38, 39, 40],
+    350: [34, 35, 36, 37, 38],
+    360: [32, 33, 34, 35, 36],
+    370: [30, 31, 32, 33],
+    380: [28, 29, 30, 31],
+    390: [25, 26, 27, 28, 29],
+    400: [22, 23, 24, 25, 26],
+    410: [20, 21, 22, 23],
+    420: [17, 18, 19, 20, 83],
+    430: [14, 15, 16, 17, 18, 83],
+    440: [11, 12, 13, 14, 15, 83],
+    450: [8, 9, 10, 11, 12, 13],
+    460: [5, 6, 7, 8, 9, 10, 83],
+    470: [2, 3, 4, 5, 6, 7, 83],
+    480: [0, 1, 2, 3, 83, 359],
+    490: [0, 83, 358, 359],
+    500: [358]
+  },
+  320: {
+    0: [72, 73, 80],
+    10: [72, 80],
+    20: [71, 72, 80],
+    30: [70, 71, 80],
+    40: [70, 71, 81],
+    50: [69, 70, 81],
+    60: [68, 69, 81],
+    70: [68, 69, 81],
+    80: [67, 68, 81],
+    90: [66, 67, 68, 81],
+    100: [66, 67, 81],
+    110: [65, 66, 81],
+    120: [64, 65, 81],
+    130: [63, 64, 65, 81],
+    140: [63, 64, 81],
+    150: [62, 63, 81],
+    160: [61, 62, 81],
+    170: [60, 61, 81],
+    180: [59, 60, 61],
+    190: [58, 59, 60],
+    200: [57, 58],
+    210: [56, 57, 58],
+    220: [54, 55, 56, 57, 82],
+    230: [54, 55, 82],
+    240: [52, 53, 54, 82],
+    250: [51, 52, 53, 82],
+    260: [49, 50, 51, 52, 82],
+    270: [48, 49, 50, 82],
+    280: [46, 47, 48, 49, 82],
+    290: [45, 46, 47, 82],
+    300: [43, 44, 45, 46, 82],
+    310: [41, 42, 43, 44, 82],
+    320: [39, 40, 41, 42, 43, 82],
+    330: [38, 39, 40, 82],
+    340: [35, 36, 37, 38, 39, 82],
+    350: [33, 34, 35, 36, 37, 82],
+    360: [32, 33, 34, 82],
+    370: [29, 30, 31, 32, 82],
+    380: [26, 27, 28, 29, 30, 82],
+    390: [25, 26, 27, 28, 82],
+    400: [22, 23, 24, 25, 82],
+    410: [19, 20, 21, 22, 23, 82],
+    420: [16, 17, 18, 19, 20, 82],
+    430: [14, 15, 16, 17, 18, 82],
+    440: [11, 12, 13, 14, 15, 82],
+    450: [9, 10, 11, 82],
+    460: [6, 7, 8, 82],
+    470: [2, 3, 4, 5, 82],
+    480: [0, 1, 2, 3, 359],
+    490: [0, 358, 359]
+  },
+  330: {
+    0: [71, 72, 79, 80],
+    10: [71, 72, 80],
+    20: [70, 71, 80],
+    30: [70, 80],
+    40: [69, 70, 80],
+    50: [68, 69, 80],
+    60: [68, 69, 80],
+    70: [67, 68, 80],
+    80: [66, 67, 80],
+    90: [65, 66, 67],
+    100: [65, 66, 81],
+    110: [64, 65, 81],
+    120: [63, 64, 65, 81],
+    130: [62, 63, 64, 81],
+    140: [61, 62, 63, 81],
+    150: [61, 62, 81],
+    160: [60, 61, 81],
+    170: [59, 60, 61, 81],
+    180: [58, 59, 81],
+    190: [57, 58, 81],
+    200: [56, 57, 58, 81],
+    210: [54, 55, 56, 81],
+    220: [54, 55, 81],
+    230: [52, 53, 54, 81],
+    240: [51, 52, 53, 81],
+    250: [50, 51, 52, 81],
+    260: [48, 49, 50, 81],
+    270: [47, 48, 49, 81],
+    280: [45, 46, 47, 48],
+    290: [44, 45, 46],
+    300: [42, 43, 44],
+    310: [40, 41, 42, 43],
+    320: [39, 40, 41],
+    330: [36, 37, 38, 39, 40],
+    340: [35, 36, 37, 38],
+    350: [32, 33, 34, 35, 82],
+    360: [30, 31, 32, 33, 34, 82],
+    370: [28, 29, 30, 31, 82],
+    380: [26, 27, 28, 29, 82],
+    390: [23, 24, 25, 26, 27, 82],
+    400: [21, 22, 23, 24, 25, 82],
+    410: [19, 20, 21, 22, 82],
+    420: [17, 18, 19, 82],
+    430: [13, 14, 15, 16, 17, 82],
+    440: [10, 11, 12, 13, 14, 82],
+    450: [8, 9, 10, 11, 12, 82],
+    460: [5, 6, 7, 8, 9, 82],
+    470: [2, 3, 4, 5, 6, 7, 82],
+    480: [0, 1, 2, 3, 4, 82, 359],
+    490: [0, 1, 82, 359]
+  },
+  340: {
+    0: [71, 72, 79],
+    10: [70, 71, 79],
+    20: [70, 79],
+    30: [69, 70, 79],
+    40: [68, 69, 80],
+    50: [67, 68, 80],
+    60: [67, 68, 80],
+    70: [66, 67, 80],
+    80: [65, 66, 67, 80],
+    90: [65, 66, 80],
+    100: [64, 65, 80],
+    110: [63, 64, 80],
+    120: [62, 63, 64, 80],
+    130: [61, 62, 63, 80],
+    140: [61, 62, 80],
+    150: [60, 61, 80],
+    160: [59, 60],
+    170: [58, 59],
+    180: [57, 58, 81],
+    190: [56, 57, 58, 81],
+    200: [55, 56, 81],
+    210: [54, 55, 81],
+    220: [52, 53, 54, 81],
+    230: [51, 52, 53, 81],
+    240: [50, 51, 52, 81],
+    250: [48, 49, 50, 81],
+    260: [47, 48, 49, 81],
+    270: [46, 47, 48, 81],
+    280: [44, 45, 46, 47, 81],
+    290: [42, 43, 44, 45, 81],
+    300: [41, 42, 43, 44, 81],
+    310: [39, 40, 41, 81],
+    320: [37, 38, 39, 40, 81],
+    330: [36, 37, 38, 81],
+    340: [33, 34, 35, 36, 81],
+    350: [32, 33, 34, 35, 81],
+    360: [30, 31, 32, 81],
+    370: [27, 28, 29, 30, 81],
+    380: [25, 26, 27, 28, 29, 81],
+    390: [23, 24, 25, 26, 81],
+    400: [21, 22, 23, 81],
+    410: [18, 19, 20, 21],
+    420: [15, 16, 17, 18, 19],
+    430: [13, 14, 15, 16, 17],
+    440: [11, 12, 13, 14],
+    450: [8, 9, 10, 11],
+    460: [6, 7, 8],
+    470: [4, 5, 6],
+    480: [1, 2, 3],
+    490: [0, 359]
+  },
+  350: {
+    0: [70, 71, 78, 79],
+    10: [69, 70, 79],
+    20: [69, 70, 79],
+    30: [68, 69, 79],
+    40: [67, 68, 79],
+    50: [67, 68, 79],
+    60: [66, 67, 79],
+    70: [65, 66, 79],
+    80: [65, 66, 79],
+    90: [64, 65],
+    100: [63, 64, 80],
+    110: [62, 63, 80],
+    120: [61, 62, 63, 80],
+    130: [61, 62, 80],
+    140: [60, 61, 80],
+    150: [59, 60, 80],
+    160: [58, 59, 80],
+    170: [57, 58, 80],
+    180: [56, 57, 80],
+    190: [55, 56, 80],
+    200: [54, 55, 80],
+    210: [52, 53, 54, 80],
+    220: [51, 52, 53, 80],
+    230: [50, 51, 52],
+    240: [49, 50, 51],
+    250: [48, 49, 50],
+    260: [46, 47, 48],
+    270: [45, 46, 47],
+    280: [43, 44, 45],
+    290: [42, 43, 44, 81],
+    300: [40, 41, 42, 81],
+    310: [38, 39, 40, 41, 81],
+    320: [37, 38, 39, 81],
+    330: [34, 35, 36, 37, 81],
+    340: [33, 34, 35, 36, 81],
+    350: [31, 32, 33, 81],
+    360: [29, 30, 31, 32, 81],
+    370: [27, 28, 29, 30, 81],
+    380: [25, 26, 27, 81],
+    390: [22, 23, 24, 25, 81],
+    400: [20, 21, 22, 23, 81],
+    410: [18, 19, 20, 21, 81],
+    420: [16, 17, 18, 81],
+    430: [13, 14, 15, 81],
+    440: [10, 11, 12, 13, 81],
+    450: [8, 9, 10, 11, 81],
+    460: [5, 6, 7, 8, 9, 81],
+    470: [3, 4, 5, 6, 81],
+    480: [0, 1, 2, 3, 4, 81],
+    490: [0, 1, 2, 81]
+  },
+  360: {
+    0: [69, 70, 78],
+    10: [69, 70, 78],
+    20: [68, 69, 78],
+    30: [67, 68, 78],
+    40: [67, 68, 79],
+    50: [66, 67, 79],
+    60: [65, 66, 79],
+    70: [65, 66, 79],
+    80: [64, 65, 79],
+    90: [63, 64, 79],
+    100: [62, 63, 79],
+    110: [61, 62, 63, 79],
+    120: [60, 61, 62, 79],
+    130: [60, 61, 79],
+    140: [59, 60],
+    150: [58, 59],
+    160: [57, 58],
+    170: [56, 57, 80],
+    180: [55, 56, 80],
+    190: [54, 55, 56, 80],
+    200: [53, 54, 80],
+    210: [52, 53, 80],
+    220: [50, 51, 52, 80],
+    230: [49, 50, 51, 80],
+    240: [48, 49, 50, 80],
+    250: [46, 47, 48, 80],
+    260: [45, 46, 47, 80],
+    270: [44, 45, 46, 80],
+    280: [42, 43, 44, 45, 80],
+    290: [40, 41, 42, 43, 80],
+    300: [39, 40, 41, 42, 80],
+    310: [37, 38, 39, 80],
+    320: [35, 36, 37, 38, 80],
+    330: [34, 35, 36, 80],
+    340: [32, 33, 34],
+    350: [30, 31, 32, 33],
+    360: [29, 30, 31],
+    370: [26, 27, 28, 29],
+    380: [24, 25, 26, 27],
+    390: [22, 23, 24, 25],
+    400: [20, 21, 22],
+    410: [17, 18, 19, 20],
+    420: [15, 16, 17, 18],
+    430: [12, 13, 14, 15, 16, 81],
+    440: [10, 11, 12, 13, 14, 81],
+    450: [8, 9, 10, 11, 81],
+    460: [6, 7, 8, 9, 81],
+    470: [4, 5, 6, 81],
+    480: [1, 2, 3, 4, 81],
+    490: [0, 1, 81]
+  },
+  370: {
+    0: [69, 70, 77],
+    10: [68, 69, 77, 78],
+    20: [67, 68, 78],
+    30: [67, 68, 78],
+    40: [66, 67, 78],
+    50: [65, 66, 78],
+    60: [64, 65, 66, 78],
+    70: [64, 65, 78],
+    80: [63, 64, 78],
+    90: [62, 63, 79],
+    100: [61, 62, 63, 79],
+    110: [61, 62, 79],
+    120: [60, 61, 79],
+    130: [59, 60, 79],
+    140: [58, 59, 79],
+    150: [57, 58, 79],
+    160: [56, 57, 79],
+    170: [55, 56, 57, 79],
+    180: [54, 55, 56, 79],
+    190: [53, 54, 79],
+    200: [52, 53, 79],
+    210: [51, 52, 79],
+    220: [49, 50, 51],
+    230: [48, 49, 50],
+    240: [47, 48, 49],
+    250: [46, 47, 48, 80],
+    260: [44, 45, 46, 80],
+    270: [43, 44, 45, 80],
+    280: [41, 42, 43, 80],
+    290: [40, 41, 42, 80],
+    300: [38, 39, 40, 80],
+    310: [36, 37, 38, 39, 80],
+    320: [35, 36, 37, 80],
+    330: [33, 34, 35, 36, 80],
+    340: [31, 32, 33, 34, 80],
+    350: [30, 31, 80],
+    360: [27, 28, 29, 30, 80],
+    370: [25, 26, 27, 28, 80],
+    380: [24, 25, 26, 80],
+    390: [21, 22, 23, 24, 80],
+    400: [19, 20, 21, 22, 80],
+    410: [17, 18, 19, 20, 80],
+    420: [15, 16, 17, 18, 80],
+    430: [13, 14, 15, 80],
+    440: [11, 12, 80],
+    450: [8, 9, 10, 11],
+    460: [5, 6, 7, 8, 9, 80],
+    470: [3, 4, 5, 6, 80],
+    480: [1, 2, 3, 4],
+    490: [0, 1, 2],
+    500: [0]
+  },
+  380: {
+    0: [68, 69, 77],
+    10: [68, 77],
+    20: [67, 68, 77],
+    30: [66, 67, 77],
+    40: [65, 66, 77, 78],
+    50: [65, 66, 78],
+    60: [64, 65, 78],
+    70: [63, 64, 78],
+    80: [62, 63, 78],
+    90: [62, 63, 78],
+    100: [61, 62, 78],
+    110: [60, 61, 78],
+    120: [59, 60, 78],
+    130: [58, 59, 78],
+    140: [57, 58],
+    150: [56, 57, 58, 79],
+    160: [55, 56, 57, 79],
+    170: [54, 55, 56, 79],
+    180: [53, 54, 55, 79],
+    190: [52, 53, 54, 79],
+    200: [51, 52, 79],
+    210: [50, 51, 79],
+    220: [49, 50, 79],
+    230: [47, 48, 49, 79],
+    240: [46, 47, 48, 79],
+    250: [45, 46, 79],
+    260: [43, 44, 45, 79],
+    270: [42, 43, 44, 79],
+    280: [41, 42, 43, 79],
+    290: [39, 40, 41, 79],
+    300: [37, 38, 39, 40],
+    310: [36, 37, 38],
+    320: [34, 35, 36],
+    330: [33, 34, 35],
+    340: [30, 31, 32, 33],
+    350: [29, 30, 31],
+    360: [27, 28, 29, 80],
+    370: [25, 26, 27, 80],
+    380: [23, 24, 25, 26, 80],
+    390: [21, 22, 23, 24, 80],
+    400: [19, 20, 21, 22, 80],
+    410: [17, 18, 19, 80],
+    420: [14, 15, 16, 17, 80],
+    430: [12, 13, 14, 15, 80],
+    440: [10, 11, 12, 13, 80],
+    450: [8, 9, 10, 11, 80],
+    460: [6, 7, 8, 9, 80],
+    470: [4, 5, 6, 7, 80],
+    480: [2, 3, 4, 80],
+    490: [1, 2, 80]
+  },
+  390: {
+    0: [68, 69, 76],
+    10: [67, 68, 76, 77],
+    20: [66, 67, 77],
+    30: [65, 66, 77],
+    40: [65, 66, 77],
+    50: [64, 65, 77],
+    60: [63, 64, 77],
+    70: [62, 63, 77],
+    80: [61, 62, 63, 77],
+    90: [61, 62, 78],
+    100: [60, 61, 78],
+    110: [59, 60, 78],
+    120: [58, 59, 78],
+    130: [57, 58, 59, 78],
+    140: [56, 57, 58, 78],
+    150: [55, 56, 57, 78],
+    160: [54, 55, 56, 78],
+    170: [53, 54, 55, 78],
+    180: [52, 53, 54, 78],
+    190: [51, 52, 53, 78],
+    200: [50, 51, 52],
+    210: [49, 50, 51],
+    220: [48, 49, 79],
+    230: [47, 48, 79],
+    240: [45, 46, 47, 79],
+    250: [44, 45, 46, 79],
+    260: [42, 43, 44, 79],
+    270: [41, 42, 43, 79],
+    280: [40, 41, 42, 79],
+    290: [38, 39, 40, 79],
+    300: [37, 38, 79],
+    310: [35, 36, 37, 79],
+    320: [34, 35, 36, 79],
+    330: [32, 33, 34, 79],
+    340: [30, 31, 32, 79],
+    350: [29, 30, 79],
+    360: [26, 27, 28, 29, 79],
+    370: [24, 25, 26, 27, 79],
+    380: [23, 24, 25, 79],
+    390: [21, 22, 23, 79],
+    400: [18, 19, 20, 21, 79],
+    410: [16, 17, 18, 19],
+    420: [14, 15, 16, 17],
+    430: [13, 14, 15],
+    440: [11, 12, 13],
+    450: [9, 10],
+    460: [6, 7, 8],
+    470: [4, 5, 6],
+    480: [2, 3, 4, 80],
+    490: [1, 2]
+  },
+  400: {
+    0: [67, 68, 75, 76],
+    10: [66, 67, 76],
+    20: [66, 76],
+    30: [65, 66, 76],
+    40: [64, 65, 76, 77],
+    50: [63, 64, 77],
+    60: [62, 63, 77],
+    70: [62, 63, 77],
+    80: [61, 62, 77],
+    90: [60, 61, 77],
+    100: [59, 60, 77],
+    110: [58, 59, 77],
+    120: [57, 58, 59, 77],
+    130: [56, 57, 58],
+    140: [56, 57, 78],
+    150: [55, 56, 78],
+    160: [54, 55, 78],
+    170: [52, 53, 54, 78],
+    180: [52, 53, 78],
+    190: [50, 51, 52, 78],
+    200: [49, 50, 51, 78],
+    210: [48, 49, 50, 78],
+    220: [47, 48, 49, 78],
+    230: [46, 47, 78],
+    240: [44, 45, 46, 78],
+    250: [43, 44, 45, 78],
+    260: [42, 43, 44],
+    270: [40, 41, 42],
+    280: [39, 40, 41],
+    290: [37, 38, 39],
+    300: [36, 37, 38],
+    310: [35, 36, 79],
+    320: [33, 34, 35, 79],
+    330: [31, 32, 33, 79],
+    340: [29, 30, 31, 79],
+    350: [27, 28, 29, 30, 79],
+    360: [26, 27, 28, 79],
+    370: [24, 25, 26, 79],
+    380: [22, 23, 24, 79],
+    390: [20, 21, 22, 23, 79],
+    400: [18, 19, 20, 21, 79],
+    410: [17, 18, 19, 79],
+    420: [15, 16, 79],
+    430: [12, 13, 14, 15, 79],
+    440: [10, 11, 12, 13, 79],
+    450: [8, 9, 10, 11, 79],
+    460: [6, 7, 8, 9, 79],
+    470: [4, 5, 6, 7, 79],
+    480: [2, 3, 4, 5, 79],
+    490: [1, 2, 3, 79],
+    500: [1]
+  },
+  410: {
+    0: [67, 68, 75],
+    10: [66, 67, 75],
+    20: [65, 66, 75, 76],
+    30: [64, 65, 76],
+    40: [63, 64, 76],
+    50: [63, 64, 76],
+    60: [62, 63, 76],
+    70: [61, 62, 76],
+    80: [60, 61],
+    90: [59, 60, 77],
+    100: [58, 59, 60, 77],
+    110: [58, 59, 77],
+    120: [57, 58, 77],
+    130: [56, 57, 77],
+    140: [55, 56, 77],
+    150: [54, 55, 77],
+    160: [53, 54, 77],
+    170: [52, 53, 77],
+    180: [51, 52, 77],
+    190: [50, 51],
+    200: [49, 50, 78],
+    210: [47, 48, 49, 78],
+    220: [46, 47, 48, 78],
+    230: [45, 46, 47, 78],
+    240: [44, 45, 78],
+    250: [42, 43, 44, 78],
+    260: [41, 42, 43, 78],
+    270: [40, 41, 42, 78],
+    280: [38, 39, 40, 78],
+    290: [37, 38, 39, 78],
+    300: [35, 36, 37, 78],
+    310: [34, 35, 36, 78],
+    320: [32, 33, 34, 78],
+    330: [30, 31, 32, 78],
+    340: [29, 30, 31, 78],
+    350: [27, 28, 29],
+    360: [25, 26, 27],
+    370: [23, 24, 25, 26],
+    380: [22, 23, 24],
+    390: [20, 21, 22],
+    400: [18, 19, 20],
+    410: [16, 17, 18, 79],
+    420: [14, 15, 16, 17, 79],
+    430: [12, 13, 14, 15, 79],
+    440: [10, 11, 12, 13, 79],
+    450: [9, 10, 11, 79],
+    460: [7, 8, 9, 79],
+    470: [5, 6, 79],
+    480: [3, 4, 79],
+    490: [1, 2, 79]
+  },
+  420: {
+    0: [66, 67, 74, 75],
+    10: [65, 66, 75],
+    20: [64, 65, 75],
+    30: [64, 65, 75],
+    40: [63, 64, 75],
+    50: [62, 63, 75, 76],
+    60: [61, 62, 76],
+    70: [60, 61, 76],
+    80: [60, 61, 76],
+    90: [59, 60, 76],
+    100: [58, 59, 76],
+    110: [57, 58, 76],
+    120: [56, 57],
+    130: [55, 56, 77],
+    140: [54, 55, 77],
+    150: [53, 54, 77],
+    160: [52, 53, 77],
+    170: [51, 52, 77],
+    180: [50, 51, 52, 77],
+    190: [49, 50, 77],
+    200: [48, 49, 77],
+    210: [47, 48, 77],
+    220: [45, 46, 47, 77],
+    230: [44, 45, 46, 77],
+    240: [43, 44, 45, 77],
+    250: [42, 43],
+    260: [40, 41, 42],
+    270: [39, 40, 41],
+    280: [38, 39, 40],
+    290: [36, 37, 38, 78],
+    300: [35, 36, 37, 78],
+    310: [33, 34, 35, 78],
+    320: [32, 33, 78],
+    330: [30, 31, 32, 78],
+    340: [29, 30, 31, 78],
+    350: [27, 28, 29, 78],
+    360: [25, 26, 27, 78],
+    370: [23, 24, 25, 26, 78],
+    380: [22, 23, 78],
+    390: [20, 21, 22, 78],
+    400: [18, 19, 20, 78],
+    410: [16, 17, 18, 19, 78],
+    420: [15, 16, 17, 78],
+    430: [13, 14, 78],
+    440: [10, 11, 12, 78],
+    450: [8, 9, 10, 11, 78],
+    460: [6, 7, 8, 9],
+    470: [4, 5, 6, 7],
+    480: [2, 3, 4, 5],
+    490: [2, 3]
+  },
+  430: {
+    0: [66, 67, 74],
+    10: [65, 66, 74],
+    20: [64, 65, 74, 75],
+    30: [63, 64, 75],
+    40: [62, 63, 75],
+    50: [62, 75],
+    60: [61, 62, 75],
+    70: [60, 61, 75],
+    80: [59, 60, 75, 76],
+    90: [58, 59, 76],
+    100: [57, 58, 76],
+    110: [56, 57, 76],
+    120: [55, 56, 57, 76],
+    130: [54, 55, 56, 76],
+    140: [53, 54, 55, 76],
+    150: [52, 53, 54, 76],
+    160: [52, 53, 76],
+    170: [51, 52, 76],
+    180: [49, 50, 51],
+    190: [48, 49, 50, 77],
+    200: [47, 48, 49, 77],
+    210: [46, 47, 77],
+    220: [45, 46, 77],
+    230: [44, 45, 77],
+    240: [42, 43, 44, 77],
+    250: [41, 42, 43, 77],
+    260: [40, 41, 77],
+    270: [38, 39, 40, 77],
+    280: [37, 38, 39, 77],
+    290: [36, 37, 77],
+    300: [34, 35, 36, 77],
+    310: [33, 34, 77],
+    320: [31, 32, 33],
+    330: [30, 31],
+    340: [28, 29, 30],
+    350: [26, 27, 28, 29],
+    360: [25, 26, 27],
+    370: [23, 24, 25],
+    380: [21, 22, 23, 78],
+    390: [20, 21, 22, 78],
+    400: [18, 19, 20, 78],
+    410: [16, 17, 18, 78],
+    420: [14, 15, 16, 78],
+    430: [12, 13, 14, 15, 78],
+    440: [10, 11, 12, 13, 78],
+    450: [9, 10, 11, 78],
+    460: [7, 8, 9, 78],
+    470: [5, 6, 7, 78],
+    480: [3, 4, 5, 78],
+    490: [3, 78],
+    500: [78]
+  },
+  440: {
+    0: [65, 66, 73],
+    10: [64, 65, 73, 74],
+    20: [64, 74],
+    30: [63, 64, 74],
+    40: [62, 63, 74],
+    50: [61, 62, 74, 75],
+    60: [60, 61, 75],
+    70: [59, 60, 75],
+    80: [58, 59, 75],
+    90: [57, 58, 59, 75],
+    100: [57, 58, 75],
+    110: [56, 57, 75],
+    120: [55, 56, 75],
+    130: [54, 55, 76],
+    140: [53, 54, 76],
+    150: [52, 53, 76],
+    160: [51, 52, 76],
+    170: [50, 51, 76],
+    180: [49, 50, 76],
+    190: [48, 49, 76],
+    200: [47, 48, 76],
+    210: [45, 46, 47, 76],
+    220: [44, 45, 46, 76],
+    230: [43, 44, 45],
+    240: [42, 43],
+    250: [41, 42],
+    260: [39, 40, 41, 77],
+    270: [38, 39, 40, 77],
+    280: [36, 37, 38, 77],
+    290: [35, 36, 37, 77],
+    300: [34, 35, 77],
+    310: [32, 33, 34, 77],
+    320: [31, 32, 77],
+    330: [29, 30, 31, 77],
+    340: [28, 29, 30, 77],
+    350: [26, 27, 28, 77],
+    360: [24, 25, 26, 77],
+    370: [23, 24, 25, 77],
+    380: [21, 22, 23, 77],
+    390: [19, 20, 21, 77],
+    400: [17, 18, 19, 20, 77],
+    410: [16, 17, 18, 77],
+    420: [14, 15, 16],
+    430: [13, 14, 15],
+    440: [11, 12, 13],
+    450: [9, 10],
+    460: [7, 8, 9],
+    470: [5, 6, 7],
+    480: [3, 4, 5, 78],
+    490: [3, 4, 78]
+  },
+  450: {
+    0: [65, 66, 72, 73],
+    10: [64, 65, 73],
+    20: [63, 64, 73],
+    30: [62, 63, 73, 74],
+    40: [61, 62, 74],
+    50: [60, 61, 74],
+    60: [60, 61, 74],
+    70: [59, 60, 74],
+    80: [58, 59, 74],
+    90: [57, 58, 75],
+    100: [56, 57, 75],
+    110: [55, 56, 75],
+    120: [54, 55, 75],
+    130: [53, 54, 75],
+    140: [52, 53, 75],
+    150: [51, 52, 53, 75],
+    160: [50, 51, 52, 75],
+    170: [49, 50],
+    180: [48, 49, 76],
+    190: [47, 48, 76],
+    200: [46, 47, 76],
+    210: [45, 46, 76],
+    220: [44, 45, 76],
+    230: [42, 43, 44, 76],
+    240: [41, 42, 43, 76],
+    250: [40, 41, 76],
+    260: [39, 40, 76],
+    270: [37, 38, 39, 76],
+    280: [36, 37, 38, 76],
+    290: [35, 36, 76],
+    300: [33, 34, 35, 76],
+    310: [32, 33],
+    320: [30, 31, 32],
+    330: [29, 30, 31],
+    340: [27, 28, 29, 77],
+    350: [26, 27, 28, 77],
+    360: [24, 25, 26, 77],
+    370: [23, 24, 77],
+    380: [21, 22, 23, 77],
+    390: [19, 20, 21, 77],
+    400: [18, 19, 20, 77],
+    410: [16, 17, 18, 77],
+    420: [14, 15, 16, 77],
+    430: [12, 13, 14, 77],
+    440: [10, 11, 12, 13, 77],
+    450: [9, 10, 11, 77],
+    460: [7, 8, 9, 77],
+    470: [5, 6, 7, 8, 77],
+    480: [4, 5, 6, 77],
+    490: [3, 4, 77]
+  },
+  460: {
+    0: [65, 66, 72],
+    10: [64, 65, 72],
+    20: [63, 64, 72, 73],
+    30: [62, 63, 73],
+    40: [61, 62, 73],
+    50: [60, 61, 73],
+    60: [59, 60, 73, 74],
+    70: [58, 59, 74],
+    80: [57, 58, 74],
+    90: [56, 57, 74],
+    100: [56, 57, 74],
+    110: [55, 56, 74],
+    120: [54, 55, 74],
+    130: [53, 54, 75],
+    140: [52, 53, 75],
+    150: [51, 52, 75],
+    160: [50, 51, 75],
+    170: [49, 50, 75],
+    180: [48, 49, 75],
+    190: [46, 47, 48, 75],
+    200: [45, 46, 47, 75],
+    210: [44, 45, 46, 75],
+    220: [43, 44, 75],
+    230: [42, 43],
+    240: [41, 42, 76],
+    250: [40, 41, 76],
+    260: [38, 39, 40, 76],
+    270: [37, 38, 39, 76],
+    280: [35, 36, 37, 76],
+    290: [34, 35, 36, 76],
+    300: [33, 34, 76],
+    310: [31, 32, 33, 76],
+    320: [30, 31, 32, 76],
+    330: [28, 29, 30, 76],
+    340: [27, 28, 29, 76],
+    350: [26, 27, 76],
+    360: [24, 25, 76],
+    370: [22, 23, 24, 76],
+    380: [21, 22, 23, 76],
+    390: [19, 20, 21],
+    400: [17, 18, 19],
+    410: [16, 17, 18],
+    420: [14, 15, 16, 77],
+    430: [12, 13, 14, 77],
+    440: [11, 12, 13, 77],
+    450: [9, 10, 11, 77],
+    460: [8, 9, 77],
+    470: [6, 7, 77],
+    480: [4, 5, 77],
+    490: [3, 4, 77]
+  },
+  470: {
+    0: [64, 65, 71],
+    10: [63, 64, 71, 72],
+    20: [62, 63, 72],
+    30: [61, 62, 72],
+    40: [60, 61, 72, 73],
+    50: [60, 73],
+    60: [59, 60, 73],
+    70: [58, 59, 73],
+    80: [57, 58, 73],
+    90: [56, 57, 74],
+    100: [55, 56, 74],
+    110: [54, 55, 74],
+    120: [53, 54, 74],
+    130: [52, 53, 74],
+    140: [51, 52, 74],
+    150: [50, 51, 74],
+    160: [49, 50, 74],
+    170: [48, 49, 75],
+    180: [47, 48, 75],
+    190: [46, 47, 75],
+    200: [45, 46, 75],
+    210: [44, 45, 75],
+    220: [43, 44, 75],
+    230: [41, 42, 43, 75],
+    240: [40, 41, 42, 75],
+    250: [39, 40, 75],
+    260: [38, 39, 75],
+    270: [36, 37, 38, 75],
+    280: [35, 36, 37, 75],
+    290: [34, 35],
+    300: [32, 33, 34],
+    310: [31, 32, 33, 76],
+    320: [29, 30, 31, 76],
+    330: [28, 29, 30, 76],
+    340: [27, 28, 76],
+    350: [25, 26, 27, 76],
+    360: [23, 24, 25, 76],
+    370: [22, 23, 24, 76],
+    380: [21, 22, 76],
+    390: [19, 20, 21, 76],
+    400: [17, 18, 19, 76],
+    410: [16, 17, 18, 76],
+    420: [14, 15, 16, 76],
+    430: [13, 14, 76],
+    440: [11, 12, 76],
+    450: [9, 10, 11, 76],
+    460: [7, 8, 9],
+    470: [6, 7, 8],
+    480: [4, 5, 6],
+    490: [4, 5]
+  },
+  480: {
+    0: [64, 65, 70, 71],
+    10: [63, 64, 70, 71],
+    20: [62, 63, 71, 72],
+    30: [61, 62, 71, 72],
+    40: [60, 61, 72],
+    50: [59, 60, 72],
+    60: [58, 59, 72, 73],
+    70: [57, 58, 73],
+    80: [56, 57, 73],
+    90: [56, 73],
+    100: [55, 56, 73],
+    110: [54, 55, 73],
+    120: [53, 54, 73],
+    130: [52, 53, 74],
+    140: [51, 52, 74],
+    150: [50, 51, 74],
+    160: [49, 50, 74],
+    170: [48, 49, 74],
+    180: [47, 48, 74],
+    190: [45, 46, 47, 74],
+    200: [44, 45, 46, 74],
+    210: [43, 44, 74],
+    220: [42, 43, 44],
+    230: [41, 42, 75],
+    240: [40, 41, 75],
+    250: [38, 39, 40, 75],
+    260: [37, 38, 39, 75],
+    270: [36, 37, 75],
+    280: [35, 36, 75],
+    290: [33, 34, 35, 75],
+    300: [32, 33, 34, 75],
+    310: [31, 32, 75],
+    320: [29, 30, 31, 75],
+    330: [28, 29, 30, 75],
+    340: [26, 27, 28, 75],
+    350: [25, 26, 27, 75],
+    360: [24, 25],
+    370: [22, 23],
+    380: [20, 21, 22],
+    390: [19, 20, 21, 76],
+    400: [18, 19, 76],
+    410: [16, 17, 76],
+    420: [14, 15, 16, 76],
+    430: [12, 13, 14, 76],
+    440: [11, 12, 13, 76],
+    450: [9, 10, 11, 76],
+    460: [8, 9, 10, 76],
+    470: [6, 7, 8, 76],
+    480: [5, 6, 76],
+    490: [4, 5, 76],
+    500: [76]
+  },
+  490: {
+    0: [64, 70],
+    10: [63, 64, 70],
+    20: [62, 63, 70, 71],
+    30: [61, 62, 71],
+    40: [60, 61, 71],
+    50: [59, 60, 71, 72],
+    60: [58, 59, 72],
+    70: [57, 58, 72],
+    80: [56, 57, 72],
+    90: [55, 56, 72, 73],
+    100: [54, 55, 73],
+    110: [53, 54, 73],
+    120: [52, 53, 73],
+    130: [51, 52, 73],
+    140: [50, 51, 73],
+    150: [49, 50, 73],
+    160: [48, 49, 73],
+    170: [47, 48, 74],
+    180: [46, 47, 74],
+    190: [45, 46, 74],
+    200: [44, 45, 74],
+    210: [43, 44, 74],
+    220: [42, 43, 74],
+    230: [41, 42, 74],
+    240: [39, 40, 41, 74],
+    250: [38, 39, 40, 74],
+    260: [37, 38, 74],
+    270: [36, 37],
+    280: [34, 35, 36],
+    290: [33, 34, 35, 75],
+    300: [32, 33, 75],
+    310: [30, 31, 32, 75],
+    320: [29, 30, 31, 75],
+    330: [27, 28, 29, 75],
+    340: [26, 27, 28, 75],
+    350: [25, 26, 75],
+    360: [23, 24, 25, 75],
+    370: [22, 23, 24, 75],
+    380: [20, 21, 22, 75],
+    390: [19, 20, 75],
+    400: [17, 18, 19, 75],
+    410: [15, 16, 17, 75],
+    420: [14, 15, 16, 75],
+    430: [13, 14],
+    440: [11, 12, 13],
+    450: [10, 11],
+    460: [8, 9],
+    470: [6, 7, 8],
+    480: [4, 5, 6],
+    490: [4, 5, 76]
+  },
+  500: {
+    0: [64, 69],
+    10: [62, 63, 64, 69, 70],
+    20: [61, 62, 63, 69, 70],
+    30: [60, 61, 70, 71],
+    40: [59, 60, 70, 71],
+    50: [58, 59, 71],
+    60: [57, 58, 71],
+    70: [57, 58, 71, 72],
+    80: [56, 57, 72],
+    90: [55, 56, 72],
+    100: [54, 55, 72],
+    110: [53, 54, 72],
+    120: [52, 53, 72],
+    130: [51, 52, 73],
+    140: [50, 51, 73],
+    150: [49, 50, 73],
+    160: [48, 49, 73],
+    170: [47, 48, 73],
+    180: [46, 47, 73],
+    190: [45, 46, 73],
+    200: [43, 44, 45, 73],
+    210: [42, 43, 44],
+    220: [41, 42, 43, 74],
+    230: [40, 41, 74],
+    240: [39, 40, 74],
+    250: [38, 39, 74],
+    260: [37, 38, 74],
+    270: [35, 36, 74],
+    280: [34, 35, 74],
+    290: [33, 34, 74],
+    300: [31, 32, 33, 74],
+    310: [30, 31, 32, 74],
+    320: [29, 30, 74],
+    330: [27, 28, 29],
+    340: [26, 27],
+    350: [24, 25, 26],
+    360: [23, 24, 25, 75],
+    370: [22, 23, 75],
+    380: [20, 21, 75],
+    390: [19, 20, 75],
+    400: [17, 18, 19, 75],
+    410: [16, 17, 75],
+    420: [14, 15, 16, 75],
+    430: [13, 14, 75],
+    440: [11, 12, 13, 75],
+    450: [9, 10, 11, 75],
+    460: [8, 9, 10, 75],
+    470: [6, 7, 8, 75],
+    480: [5, 6, 7, 75],
+    490: [5, 75]
+  },
+  510: {
+    0: [64, 68],
+    10: [62, 63, 64, 68, 69],
+    20: [61, 62, 63, 69, 70],
+    30: [60, 61, 69, 70],
+    40: [59, 60, 70],
+    50: [58, 59, 70, 71],
+    60: [57, 58, 70, 71],
+    70: [56, 57, 71],
+    80: [55, 56, 71],
+    90: [54, 55, 71],
+    100: [53, 54, 71, 72],
+    110: [52, 53, 72],
+    120: [51, 52, 72],
+    130: [50, 51, 72],
+    140: [49, 50, 72],
+    150: [48, 49, 72],
+    160: [47, 48, 72],
+    170: [46, 47, 73],
+    180: [45, 46, 73],
+    190: [44, 45, 73],
+    200: [43, 44, 73],
+    210: [42, 43, 73],
+    220: [41, 42, 73],
+    230: [40, 41, 73],
+    240: [39, 40, 73],
+    250: [37, 38, 39, 73],
+    260: [36, 37],
+    270: [35, 36],
+    280: [34, 35, 74],
+    290: [32, 33, 34, 74],
+    300: [31, 32, 33, 74],
+    310: [30, 31, 74],
+    320: [28, 29, 30, 74],
+    330: [27, 28, 29, 74],
+    340: [26, 27, 74],
+    350: [24, 25, 26, 74],
+    360: [23, 24, 25, 74],
+    370: [21, 22, 23, 74],
+    380: [20, 21, 22, 74],
+    390: [19, 20, 74],
+    400: [17, 18, 19],
+    410: [16, 17],
+    420: [14, 15, 16],
+    430: [13, 14],
+    440: [11, 12, 13],
+    450: [10, 11, 12, 75],
+    460: [9, 10, 75],
+    470: [7, 8, 75],
+    480: [5, 6, 7, 75],
+    490: [5, 75]
+  },
+  520: {
+    0: [64, 67],
+    10: [62, 63, 67, 68],
+    20: [61, 62, 63, 68, 69],
+    30: [60, 61, 68, 69],
+    40: [59, 60, 69, 70],
+    50: [58, 59, 69, 70],
+    60: [57, 58, 70],
+    70: [56, 57, 70],
+    80: [55, 56, 70, 71],
+    90: [54, 55, 71],
+    100: [53, 54, 71],
+    110: [52, 53, 71],
+    120: [51, 52, 71],
+    130: [50, 51, 71, 72],
+    140: [49, 50, 72],
+    150: [48, 49, 72],
+    160: [47, 48, 72],
+    170: [46, 47, 72],
+    180: [45, 46, 72],
+    190: [44, 45, 72],
+    200: [43, 44, 72],
+    210: [42, 43, 73],
+    220: [40, 41, 42, 73],
+    230: [40, 41, 73],
+    240: [38, 39, 73],
+    250: [37, 38, 73],
+    260: [36, 37, 73],
+    270: [35, 36, 73],
+    280: [33, 34, 35, 73],
+    290: [32, 33, 34, 73],
+    300: [31, 32, 73],
+    310: [30, 31, 73],
+    320: [28, 29, 30],
+    330: [27, 28],
+    340: [26, 27, 74],
+    350: [24, 25, 26, 74],
+    360: [23, 24, 74],
+    370: [21, 22, 23, 74],
+    380: [20, 21, 22, 74],
+    390: [19, 20, 74],
+    400: [17, 18, 19, 74],
+    410: [16, 17, 74],
+    420: [14, 15, 16, 74],
+    430: [13, 14, 15, 74],
+    440: [11, 12, 13, 74],
+    450: [10, 11, 74],
+    460: [8, 9, 10, 74],
+    470: [7, 8, 9, 74],
+    480: [5, 6, 7, 74],
+    490: [5, 6]
+  },
+  530: {
+    0: [66],
+    10: [62, 63, 64, 65, 66, 67],
+    20: [61, 62, 63, 66, 67, 68],
+    30: [60, 61, 68, 69],
+    40: [59, 60, 68, 69],
+    50: [58, 59, 69],
+    60: [57, 58, 69, 70],
+    70: [56, 57, 70],
+    80: [55, 56, 70],
+    90: [54, 55, 70],
+    100: [53, 54, 70, 71],
+    110: [52, 53, 71],
+    120: [51, 52, 71],
+    130: [50, 51, 71],
+    140: [49, 50, 71],
+    150: [48, 49, 71],
+    160: [47, 48, 71],
+    170: [46, 47, 72],
+    180: [45, 46, 72],
+    190: [44, 45, 72],
+    200: [42, 43, 44, 72],
+    210: [41, 42, 43, 72],
+    220: [40, 41, 72],
+    230: [39, 40, 72],
+    240: [38, 39, 72],
+    250: [37, 38, 72],
+    260: [36, 37, 73],
+    270: [34, 35, 36, 73],
+    280: [33, 34, 73],
+    290: [32, 33, 73],
+    300: [31, 32, 73],
+    310: [29, 30, 31, 73],
+    320: [28, 29, 73],
+    330: [27, 28, 73],
+    340: [25, 26, 27, 73],
+    350: [24, 25, 73],
+    360: [23, 24, 73],
+    370: [22, 23, 73],
+    380: [20, 21],
+    390: [18, 19, 20],
+    400: [17, 18, 19],
+    410: [16, 17, 74],
+    420: [14, 15, 16, 74],
+    430: [13, 14, 74],
+    440: [11, 12, 13, 74],
+    450: [10, 11, 12, 74],
+    460: [9, 10, 74],
+    470: [7, 8, 9, 74],
+    480: [6, 7, 8, 74],
+    490: [6, 74],
+    500: [74]
+  },
+  540: {
+    10: [62, 63, 64, 65, 66],
+    20: [61, 62, 63, 64, 65, 66, 67],
+    30: [60, 61, 67, 68],
+    40: [58, 59, 60, 67, 68],
+    50: [57, 58, 68, 69],
+    60: [56, 57, 68, 69],
+    70: [55, 56, 69],
+    80: [54, 55, 69, 70],
+    90: [53, 54, 69, 70],
+    100: [52, 53, 70],
+    110: [51, 52, 70],
+    120: [50, 51, 70],
+    130: [49, 50, 70],
+    140: [48, 49, 71],
+    150: [47, 48, 71],
+    160: [46, 47, 71],
+    170: [45, 46, 71],
+    180: [44, 45, 71],
+    190: [43, 44, 71],
+    200: [42, 43, 71],
+    210: [41, 42, 72],
+    220: [40, 41, 72],
+    230: [39, 40, 72],
+    240: [38, 39, 72],
+    250: [36, 37, 38, 72],
+    260: [35, 36, 37, 72],
+    270: [34, 35, 72],
+    280: [33, 34, 72],
+    290: [32, 33, 72],
+    300: [31, 32, 72],
+    310: [29, 30],
+    320: [28, 29],
+    330: [27, 28, 73],
+    340: [25, 26, 27, 73],
+    350: [24, 25, 73],
+    360: [23, 24, 73],
+    370: [21, 22, 23, 73],
+    380: [20, 21, 73],
+    390: [19, 20, 73],
+    400: [17, 18, 19, 73],
+    410: [16, 17, 73],
+    420: [14, 15, 16, 73],
+    430: [13, 14, 15, 73],
+    440: [12, 13, 73],
+    450: [11, 12, 73],
+    460: [9, 10],
+    470: [7, 8, 9],
+    480: [6, 7],
+    490: [6, 74]
+  },
+  550: {
+    10: [63, 64, 65],
+    20: [61, 62, 63, 64, 65, 66],
+    30: [59, 60, 61, 62, 65, 66, 67],
+    40: [58, 59, 60, 67, 68],
+    50: [57, 58, 67, 68],
+    60: [56, 57, 68],
+    70: [55, 56, 68, 69],
+    80: [54, 55, 69],
+    90: [53, 54, 69],
+    100: [52, 53, 69],
+    110: [51, 52, 69, 70],
+    120: [50, 51, 70],
+    130: [49, 50, 70],
+    140: [48, 49, 70],
+    150: [47, 48, 70],
+    160: [46, 47, 70],
+    170: [45, 46, 71],
+    180: [44, 45, 71],
+    190: [43, 44, 71],
+    200: [42, 43, 71],
+    210: [41, 42, 71],
+    220: [40, 41, 71],
+    230: [39, 40, 71],
+    240: [37, 38, 71],
+    250: [36, 37],
+    260: [35, 36, 72],
+    270: [34, 35, 72],
+    280: [33, 34, 72],
+    290: [32, 33, 72],
+    300: [30, 31, 72],
+    310: [29, 30, 72],
+    320: [28, 29, 72],
+    330: [26, 27, 28, 72],
+    340: [25, 26, 27, 72],
+    350: [24, 25, 72],
+    360: [22, 23, 24, 72],
+    370: [21, 22, 23],
+    380: [20, 21],
+    390: [19, 20],
+    400: [17, 18, 19, 73],
+    410: [16, 17, 73],
+    420: [15, 16, 73],
+    430: [14, 15, 73],
+    440: [12, 13, 73],
+    450: [10, 11, 12, 73],
+    460: [9, 10, 73],
+    470: [8, 9, 73],
+    480: [6, 7, 8, 73],
+    490: [6, 7, 73]
+  },
+  560: {
+    20: [61, 62, 63, 64, 65],
+    30: [59, 60, 61, 62, 63, 64, 65, 66],
+    40: [58, 59, 60, 65, 66, 67],
+    50: [57, 58, 66, 67],
+    60: [56, 57, 67, 68],
+    70: [55, 56, 67, 68],
+    80: [54, 55, 68],
+    90: [53, 54, 68, 69],
+    100: [52, 53, 69],
+    110: [51, 52, 69],
+    120: [50, 51, 69],
+    130: [49, 50, 69],
+    140: [48, 49, 69, 70],
+    150: [47, 48, 70],
+    160: [46, 47, 70],
+    170: [45, 46, 70],
+    180: [44, 45, 70],
+    190: [43, 44, 70],
+    200: [41, 42, 43, 70],
+    210: [41, 42, 71],
+    220: [39, 40, 71],
+    230: [38, 39, 71],
+    240: [37, 38, 71],
+    250: [36, 37, 71],
+    260: [35, 36, 71],
+    270: [34, 35, 71],
+    280: [33, 34, 71],
+    290: [31, 32, 33, 71],
+    300: [30, 31],
+    310: [29, 30, 72],
+    320: [28, 29, 72],
+    330: [26, 27, 28, 72],
+    340: [25, 26, 72],
+    350: [24, 25, 72],
+    360: [23, 24, 72],
+    370: [21, 22, 23, 72],
+    380: [20, 21, 72],
+    390: [19, 20, 72],
+    400: [17, 18, 19, 72],
+    410: [16, 17, 18, 72],
+    420: [15, 16, 72],
+    430: [13, 14],
+    440: [12, 13],
+    450: [11, 12],
+    460: [9, 10, 11, 73],
+    470: [8, 9, 10, 73],
+    480: [7, 8, 73],
+    490: [6, 7, 73]
+  },
+  570: {
+    20: [61, 62, 63, 64],
+    30: [60, 61, 62, 63, 64, 65],
+    40: [58, 59, 60, 64, 65, 66],
+    50: [57, 58, 65, 66, 67],
+    60: [56, 57, 66, 67],
+    70: [55, 56, 67],
+    80: [54, 55, 67, 68],
+    90: [53, 54, 68],
+    100: [52, 53, 68],
+    110: [51, 52, 68],
+    120: [50, 51, 68, 69],
+    130: [49, 50, 69],
+    140: [48, 49, 69],
+    150: [46, 47, 48, 69],
+    160: [45, 46, 47, 69],
+    170: [44, 45, 69, 70],
+    180: [43, 44, 70],
+    190: [42, 43, 70],
+    200: [41, 42, 70],
+    210: [40, 41, 70],
+    220: [39, 40, 70],
+    230: [38, 39, 70],
+    240: [37, 38, 70],
+    250: [36, 37],
+    260: [35, 36, 71],
+    270: [33, 34, 35, 71],
+    280: [32, 33, 34, 71],
+    290: [31, 32, 71],
+    300: [30, 31, 71],
+    310: [29, 30, 71],
+    320: [28, 29, 71],
+    330: [26, 27, 28, 71],
+    340: [25, 26, 71],
+    350: [24, 25],
+    360: [23, 24],
+    370: [21, 22, 72],
+    380: [20, 21, 72],
+    390: [19, 20, 72],
+    400: [17, 18, 19, 72],
+    410: [16, 17, 72],
+    420: [15, 16, 72],
+    430: [13, 14, 15, 72],
+    440: [12, 13, 14, 72],
+    450: [11, 12, 72],
+    460: [10, 11, 72],
+    470: [8, 9, 72],
+    480: [7, 8, 72],
+    490: [6, 7],
+    500: [6]
+  },
+  580: {
+    30: [60, 61, 62, 63, 64],
+    40: [58, 59, 60, 61, 62, 63, 64, 65],
+    50: [57, 58, 59, 64, 65, 66],
+    60: [56, 57, 65, 66],
+    70: [55, 56, 66, 67],
+    80: [54, 55, 66, 67],
+    90: [52, 53, 67],
+    100: [51, 52, 67, 68],
+    110: [50, 51, 68],
+    120: [49, 50, 68],
+    130: [48, 49, 68],
+    140: [47, 48, 68, 69],
+    150: [46, 47, 69],
+    160: [45, 46, 69],
+    170: [44, 45, 69],
+    180: [43, 44, 69],
+    190: [42, 43, 69],
+    200: [41, 42, 69],
+    210: [40, 41, 70],
+    220: [39, 40, 70],
+    230: [38, 39, 70],
+    240: [37, 38, 70],
+    250: [36, 37, 70],
+    260: [34, 35, 36, 70],
+    270: [33, 34, 70],
+    280: [32, 33, 70],
+    290: [31, 32],
+    300: [30, 31, 71],
+    310: [29, 30, 71],
+    320: [28, 29, 71],
+    330: [26, 27, 71],
+    340: [25, 26, 71],
+    350: [24, 25, 71],
+    360: [22, 23, 24, 71],
+    370: [21, 22, 23, 71],
+    380: [20, 21, 71],
+    390: [19, 20, 71],
+    400: [17, 18, 19, 71],
+    410: [16, 17, 18],
+    420: [15, 16],
+    430: [14, 15, 72],
+    440: [12, 13, 14, 72],
+    450: [11, 12, 72],
+    460: [10, 11, 72],
+    470: [8, 9, 10, 72],
+    480: [7, 8, 9, 72],
+    490: [7]
+  },
+  590: {
+    30: [60, 61, 62, 63],
+    40: [58, 59, 60, 61, 62, 63, 64],
+    50: [57, 58, 59, 60, 63, 64, 65],
+    60: [56, 57, 64, 65, 66],
+    70: [54, 55, 56, 65, 66],
+    80: [53, 54, 55, 66],
+    90: [52, 53, 66, 67],
+    100: [51, 52, 67],
+    110: [50, 51, 67],
+    120: [49, 50, 67],
+    130: [48, 49, 67, 68],
+    140: [47, 48, 68],
+    150: [46, 47, 68],
+    160: [45, 46, 68],
+    170: [44, 45, 68],
+    180: [43, 44, 69],
+    190: [42, 43, 69],
+    200: [41, 42, 69],
+    210: [40, 41, 69],
+    220: [39, 40, 69],
+    230: [38, 39, 69],
+    240: [36, 37, 38, 69],
+    250: [35, 36, 37, 70],
+    260: [34, 35, 70],
+    270: [33, 34, 70],
+    280: [32, 33, 70],
+    290: [31, 32, 70],
+    300: [30, 31, 70],
+    310: [29, 30, 70],
+    320: [27, 28, 29, 70],
+    330: [26, 27, 70],
+    340: [25, 26, 70],
+    350: [24, 25],
+    360: [23, 24, 71],
+    370: [22, 23, 71],
+    380: [20, 21, 71],
+    390: [19, 20, 71],
+    400: [18, 19, 71],
+    410: [17, 18, 71],
+    420: [15, 16, 71],
+    430: [14, 15, 71],
+    440: [12, 13, 14, 71],
+    450: [11, 12, 13, 71],
+    460: [10, 11, 71],
+    470: [9, 10],
+    480: [8, 9],
+    490: [7, 8]
+  },
+  600: {
+    40: [59, 60, 61, 62, 63],
+    50: [57, 58, 59, 60, 61, 62, 63, 64],
+    60: [56, 57, 58, 63, 64, 65],
+    70: [54, 55, 56, 64, 65],
+    80: [53, 54, 55, 65, 66],
+    90: [52, 53, 65, 66],
+    100: [51, 52, 66],
+    110: [50, 51, 66, 67],
+    120: [49, 50, 67],
+    130: [48, 49, 67],
+    140: [47, 48, 67],
+    150: [46, 47, 67, 68],
+    160: [45, 46, 68],
+    170: [44, 45, 68],
+    180: [43, 44, 68],
+    190: [42, 43, 68],
+    200: [41, 42, 68],
+    210: [40, 41, 69],
+    220: [39, 40, 69],
+    230: [37, 38, 39, 69],
+    240: [36, 37, 69],
+    250: [35, 36, 69],
+    260: [34, 35, 69],
+    270: [33, 34, 69],
+    280: [32, 33, 69],
+    290: [31, 32],
+    300: [30, 31, 70],
+    310: [28, 29, 30, 70],
+    320: [27, 28, 70],
+    330: [26, 27, 70],
+    340: [25, 26, 70],
+    350: [24, 25, 70],
+    360: [23, 24, 70],
+    370: [21, 22, 23, 70],
+    380: [20, 21, 70],
+    390: [19, 20, 70],
+    400: [18, 19],
+    410: [16, 17, 18],
+    420: [15, 16, 71],
+    430: [14, 15, 71],
+    440: [13, 14, 71],
+    450: [12, 13, 71],
+    460: [10, 11, 12, 71],
+    470: [9, 10, 71],
+    480: [8, 9, 71],
+    490: [7, 8, 71],
+    500: [7]
+  },
+  610: {
+    40: [59, 60, 61, 62],
+    50: [57, 58, 59, 60, 61, 62, 63],
+    60: [56, 57, 58, 59, 61, 62, 63, 64],
+    70: [54, 55, 56, 63, 64],
+    80: [53, 54, 55, 64, 65],
+    90: [52, 53, 65],
+    100: [51, 52, 65, 66],
+    110: [50, 51, 65, 66],
+    120: [49, 50, 66],
+    130: [48, 49, 66, 67],
+    140: [47, 48, 66, 67],
+    150: [46, 47, 67],
+    160: [45, 46, 67],
+    170: [44, 45, 67],
+    180: [43, 44, 67, 68],
+    190: [42, 43, 68],
+    200: [40, 41, 42, 68],
+    210: [40, 68],
+    220: [38, 39, 68],
+    230: [37, 38, 68],
+    240: [36, 37, 68],
+    250: [35, 36, 69],
+    260: [34, 35, 69],
+    270: [33, 34, 69],
+    280: [32, 33, 69],
+    290: [31, 32, 69],
+    300: [30, 31, 69],
+    310: [28, 29, 30, 69],
+    320: [27, 28, 69],
+    330: [26, 27, 69],
+    340: [25, 26],
+    350: [24, 25, 70],
+    360: [23, 24, 70],
+    370: [21, 22, 70],
+    380: [20, 21, 70],
+    390: [19, 20, 70],
+    400: [18, 19, 70],
+    410: [17, 18, 70],
+    420: [15, 16, 17, 70],
+    430: [14, 15, 16, 70],
+    440: [13, 14, 70],
+    450: [12, 13, 70],
+    460: [10, 11, 12],
+    470: [9, 10],
+    480: [8, 9],
+    490: [8, 71]
+  },
+  620: {
+    50: [58, 59, 60, 61, 62],
+    60: [56, 57, 58, 59, 60, 61, 62, 63],
+    70: [55, 56, 57, 62, 63, 64],
+    80: [53, 54, 55, 63, 64],
+    90: [52, 53, 64, 65],
+    100: [51, 52, 64, 65],
+    110: [50, 51, 65],
+    120: [49, 50, 65, 66],
+    130: [48, 49, 66],
+    140: [47, 48, 66],
+    150: [46, 47, 66],
+    160: [45, 46, 66, 67],
+    170: [44, 45, 67],
+    180: [43, 44, 67],
+    190: [42, 43, 67],
+    200: [40, 41, 67],
+    210: [39, 40, 67, 68],
+    220: [38, 39, 68],
+    230: [37, 38, 68],
+    240: [36, 37, 68],
+    250: [35, 36, 68],
+    260: [34, 35, 68],
+    270: [33, 34, 68],
+    280: [32, 33, 68],
+    290: [31, 32, 69],
+    300: [29, 30, 31, 69],
+    310: [28, 29, 69],
+    320: [27, 28, 69],
+    330: [26, 27, 69],
+    340: [25, 26, 69],
+    350: [24, 25, 69],
+    360: [23, 24, 69],
+    370: [22, 23, 69],
+    380: [20, 21, 22, 69],
+    390: [19, 20],
+    400: [18, 19],
+    410: [17, 18, 70],
+    420: [16, 17, 70],
+    430: [14, 15, 16, 70],
+    440: [13, 14, 70],
+    450: [12, 13, 70],
+    460: [11, 12, 70],
+    470: [10, 11, 70],
+    480: [9, 10, 70],
+    490: [8, 70]
+  },
+  630: {
+    50: [59, 60],
+    60: [56, 57, 58, 59, 60, 61, 62],
+    70: [55, 56, 57, 58, 59, 60, 61, 62, 63],
+    80: [53, 54, 55, 62, 63],
+    90: [52, 53, 54, 63, 64],
+    100: [51, 52, 63, 64],
+    110: [50, 51, 64, 65],
+    120: [49, 50, 64, 65],
+    130: [48, 49, 65],
+    140: [47, 48, 65, 66],
+    150: [46, 47, 65, 66],
+    160: [44, 45, 46, 66],
+    170: [43, 44, 45, 66],
+    180: [42, 43, 66],
+    190: [41, 42, 66, 67],
+    200: [40, 41, 67],
+    210: [39, 40, 67],
+    220: [38, 39, 67],
+    230: [37, 38, 67],
+    240: [36, 37, 67],
+    250: [35, 36, 68],
+    260: [34, 35, 68],
+    270: [33, 34, 68],
+    280: [32, 33, 68],
+    290: [31, 32, 68],
+    300: [29, 30, 31, 68],
+    310: [29, 30, 68],
+    320: [27, 28, 68],
+    330: [26, 27],
+    340: [25, 26, 69],
+    350: [24, 25, 69],
+    360: [23, 24, 69],
+    370: [22, 23, 69],
+    380: [20, 21, 22, 69],
+    390: [19, 20, 69],
+    400: [18, 19, 69],
+    410: [17, 18, 69],
+    420: [16, 17, 69],
+    430: [14, 15, 16, 69],
+    440: [13, 14, 15],
+    450: [12, 13],
+    460: [11, 12],
+    470: [10, 11, 70],
+    480: [9, 10, 70],
+    490: [8, 70]
+  },
+  640: {
+    60: [57, 58, 59, 60, 61],
+    70: [55, 56, 57, 58, 59, 60, 61, 62],
+    80: [54, 55, 56, 60, 61, 62],
+    90: [52, 53, 54, 62, 63],
+    100: [51, 52, 53, 63, 64],
+    110: [50, 51, 63, 64],
+    120: [49, 50, 64],
+    130: [48, 49, 64, 65],
+    140: [47, 48, 64, 65],
+    150: [45, 46, 47, 65],
+    160: [44, 45, 46, 65],
+    170: [43, 44, 65, 66],
+    180: [42, 43, 66],
+    190: [41, 42, 66],
+    200: [40, 41, 66],
+    210: [39, 40, 66],
+    220: [38, 39, 66, 67],
+    230: [37, 38, 67],
+    240: [36, 37, 67],
+    250: [35, 36, 67],
+    260: [34, 35, 67],
+    270: [33, 34, 67],
+    280: [32, 33, 67],
+    290: [31, 32, 68],
+    300: [30, 68],
+    310: [28, 29, 30, 68],
+    320: [27, 28, 68],
+    330: [26, 27, 68],
+    340: [25, 26, 68],
+    350: [24, 25, 68],
+    360: [23, 24, 68],
+    370: [22, 23, 68],
+    380: [20, 21, 22],
+    390: [20, 21, 69],
+    400: [18, 19, 69],
+    410: [17, 18, 69],
+    420: [16, 17, 69],
+    430: [15, 16, 69],
+    440: [14, 15, 69],
+    450: [12, 13, 14, 69],
+    460: [11, 12, 69],
+    470: [10, 11, 69],
+    480: [9, 10, 69],
+    490: [9]
+  },
+  650: {
+    70: [56, 57, 58, 59, 60, 61],
+    80: [54, 55, 56, 57, 58, 59, 60, 61],
+    90: [52, 53, 54, 55, 60, 61, 62],
+    100: [51, 52, 53, 62, 63],
+    110: [50, 51, 62, 63],
+    120: [49, 50, 63, 64],
+    130: [48, 49, 63, 64],
+    140: [47, 48, 64],
+    150: [45, 46, 47, 64, 65],
+    160: [44, 45, 64, 65],
+    170: [43, 44, 65],
+    180: [42, 43, 65],
+    190: [41, 42, 65],
+    200: [40, 41, 65, 66],
+    210: [39, 40, 66],
+    220: [38, 39, 66],
+    230: [37, 38, 66],
+    240: [36, 37, 66],
+    250: [35, 36, 66, 67],
+    260: [34, 35, 67],
+    270: [33, 34, 67],
+    280: [32, 33, 67],
+    290: [31, 32, 67],
+    300: [30, 31, 67],
+    310: [28, 29, 30, 67],
+    320: [27, 28, 67],
+    330: [26, 27],
+    340: [25, 26, 68],
+    350: [24, 25, 68],
+    360: [23, 24, 68],
+    370: [22, 23, 68],
+    380: [21, 22, 68],
+    390: [19, 20, 21, 68],
+    400: [18, 19, 68],
+    410: [17, 18, 68],
+    420: [16, 17, 68],
+    430: [15, 16, 68],
+    440: [14, 15],
+    450: [13, 14, 69],
+    460: [12, 13, 69],
+    470: [10, 11, 12, 69],
+    480: [9, 10, 69],
+    490: [9]
+  },
+  660: {
+    70: [56, 57, 58, 59],
+    80: [54, 55, 56, 57, 58, 59, 60],
+    90: [53, 54, 55, 56, 57, 58, 59, 60, 61],
+    100: [51, 52, 53, 60, 61, 62],
+    110: [50, 51, 52, 61, 62],
+    120: [49, 50, 62, 63],
+    130: [48, 49, 63],
+    140: [47, 48, 63, 64],
+    150: [45, 46, 47, 63, 64],
+    160: [44, 45, 64],
+    170: [43, 44, 64],
+    180: [42, 43, 64, 65],
+    190: [41, 42, 65],
+    200: [40, 41, 65],
+    210: [39, 40, 65],
+    220: [38, 39, 65],
+    230: [37, 38, 66],
+    240: [36, 37, 66],
+    250: [35, 36, 66],
+    260: [34, 35, 66],
+    270: [33, 34, 66],
+    280: [32, 33, 66],
+    290: [31, 32, 66, 67],
+    300: [30, 31, 67],
+    310: [28, 29, 30, 67],
+    320: [28, 67],
+    330: [26, 27, 67],
+    340: [25, 26, 67],
+    350: [24, 25, 67],
+    360: [23, 24, 67],
+    370: [22, 23, 67],
+    380: [21, 22, 68],
+    390: [20, 21, 68],
+    400: [19, 20, 68],
+    410: [18, 19, 68],
+    420: [16, 17, 68],
+    430: [15, 16, 68],
+    440: [14, 15, 68],
+    450: [13, 14, 68],
+    460: [12, 13, 68],
+    470: [11, 12, 68],
+    480: [10, 11, 68],
+    490: [9, 10, 68]
+  },
+  670: {
+    80: [55, 56, 57, 58, 59],
+    90: [53, 54, 55, 56, 57, 58, 59, 60],
+    100: [51, 52, 53, 54, 59, 60, 61],
+    110: [50, 51, 52, 60, 61, 62],
+    120: [49, 50, 61, 62],
+    130: [48, 49, 62, 63],
+    140: [47, 48, 62, 63],
+    150: [46, 47, 63],
+    160: [44, 45, 46, 63, 64],
+    170: [43, 44, 63, 64],
+    180: [42, 43, 64],
+    190: [41, 42, 64],
+    200: [40, 41, 64, 65],
+    210: [39, 40, 64, 65],
+    220: [38, 39, 65],
+    230: [37, 38, 65],
+    240: [36, 37, 65],
+    250: [35, 36, 65],
+    260: [34, 35, 65, 66],
+    270: [33, 34, 66],
+    280: [32, 33, 66],
+    290: [31, 32, 66],
+    300: [30, 31, 66],
+    310: [29, 66],
+    320: [27, 28, 29, 66],
+    330: [26, 27, 67],
+    340: [25, 26, 67],
+    350: [24, 25, 67],
+    360: [23, 24, 67],
+    370: [22, 23, 67],
+    380: [21, 22, 67],
+    390: [20, 21, 67],
+    400: [19, 20, 67],
+    410: [18, 19, 67],
+    420: [16, 17, 18],
+    430: [15, 16],
+    440: [14, 15, 68],
+    450: [13, 14, 68],
+    460: [12, 13, 68],
+    470: [11, 12, 68],
+    480: [10, 11, 68],
+    490: [10, 68]
+  },
+  680: {
+    80: [56, 57],
+    90: [53, 54, 55, 56, 57, 58, 59],
+    100: [52, 53, 54, 55, 56, 57, 58, 59, 60],
+    110: [50, 51, 52, 53, 59, 60, 61],
+    120: [49, 50, 51, 60, 61],
+    130: [48, 49, 61, 62],
+    140: [47, 48, 61, 62],
+    150: [46, 47, 62, 63],
+    160: [45, 46, 62, 63],
+    170: [43, 44, 63],
+    180: [42, 43, 63],
+    190: [41, 42, 63, 64],
+    200: [40, 41, 64],
+    210: [39, 40, 64],
+    220: [38, 39, 64],
+    230: [37, 38, 64, 65],
+    240: [36, 37, 65],
+    250: [35, 36, 65],
+    260: [34, 35, 65],
+    270: [33, 34, 65],
+    280: [32, 33, 65],
+    290: [31, 32, 65],
+    300: [30, 31, 66],
+    310: [29, 30, 66],
+    320: [27, 28, 29, 66],
+    330: [27, 66],
+    340: [25, 26, 66],
+    350: [24, 25, 66],
+    360: [23, 24, 66],
+    370: [22, 23, 66],
+    380: [21, 22, 67],
+    390: [20, 21, 67],
+    400: [19, 20, 67],
+    410: [18, 19, 67],
+    420: [17, 18, 67],
+    430: [16, 17, 67],
+    440: [15, 16, 67],
+    450: [13, 14, 15, 67],
+    460: [12, 13, 67],
+    470: [11, 12],
+    480: [10, 11],
+    490: [10]
+  },
+  690: {
+    90: [55, 56, 57],
+    100: [52, 53, 54, 55, 56, 57, 58, 59],
+    110: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    120: [49, 50, 51, 59, 60],
+    130: [48, 49, 50, 60, 61],
+    140: [47, 48, 61],
+    150: [46, 47, 61, 62],
+    160: [45, 46, 62],
+    170: [44, 45, 62, 63],
+    180: [42, 43, 44, 62, 63],
+    190: [41, 42, 63],
+    200: [40, 41, 63],
+    210: [39, 40, 63, 64],
+    220: [38, 39, 63, 64],
+    230: [37, 38, 64],
+    240: [36, 37, 64],
+    250: [35, 36, 64],
+    260: [34, 35, 64],
+    270: [33, 34, 65],
+    280: [32, 33, 65],
+    290: [31, 32, 65],
+    300: [30, 31, 65],
+    310: [29, 30, 65],
+    320: [28, 29, 65],
+    330: [27, 28, 65, 66],
+    340: [25, 26, 27, 66],
+    350: [24, 25, 66],
+    360: [23, 24, 66],
+    370: [22, 23, 66],
+    380: [21, 22, 66],
+    390: [20, 21, 66],
+    400: [19, 20, 66],
+    410: [18, 19, 66],
+    420: [17, 18],
+    430: [16, 17],
+    440: [15, 16, 67],
+    450: [14, 15, 67],
+    460: [13, 14, 67],
+    470: [12, 13, 67],
+    480: [11, 12, 67],
+    490: [10, 11, 67]
+  },
+  700: {
+    100: [53, 54, 55, 56, 57, 58],
+    110: [51, 52, 53, 54, 55, 56, 57, 58, 59],
+    120: [50, 51, 52, 53, 57, 58, 59, 60],
+    130: [48, 49, 50, 59, 60],
+    140: [47, 48, 49, 60, 61],
+    150: [46, 47, 60, 61],
+    160: [45, 46, 61],
+    170: [44, 45, 61, 62],
+    180: [43, 44, 62],
+    190: [41, 42, 43, 62],
+    200: [40, 41, 62, 63],
+    210: [39, 40, 63],
+    220: [38, 39, 63],
+    230: [37, 38, 63],
+    240: [36, 37, 63, 64],
+    250: [35, 36, 64],
+    260: [34, 35, 64],
+    270: [33, 34, 64],
+    280: [32, 33, 64],
+    290: [31, 32, 64],
+    300: [30, 31, 64, 65],
+    310: [29, 30, 65],
+    320: [28, 29, 65],
+    330: [27, 28, 65],
+    340: [26, 27, 65],
+    350: [25, 26, 65],
+    360: [23, 24, 25, 65],
+    370: [22, 23, 65],
+    380: [22, 66],
+    390: [20, 21, 66],
+    400: [19, 20, 66],
+    410: [18, 19, 66],
+    420: [17, 18, 66],
+    430: [16, 17, 66],
+    440: [15, 16, 66],
+    450: [14, 15, 66],
+    460: [13, 14, 66],
+    470: [12, 13],
+    480: [11, 12],
+    490: [10, 11, 67],
+    500: [10]
+  },
+  710: {
+    100: [55],
+    110: [52, 53, 54, 55, 56, 57],
+    120: [50, 51, 52, 53, 54, 55, 56, 57, 58],
+    130: [49, 50, 51, 57, 58, 59],
+    140: [47, 48, 49, 58, 59, 60],
+    150: [46, 47, 48, 59, 60],
+    160: [45, 46, 60, 61],
+    170: [44, 45, 60, 61],
+    180: [43, 44, 61],
+    190: [42, 43, 61, 62],
+    200: [40, 41, 42, 62],
+    210: [39, 40, 62],
+    220: [38, 39, 62, 63],
+    230: [37, 38, 62, 63],
+    240: [36, 37, 63],
+    250: [35, 36, 63],
+    260: [34, 35, 63],
+    270: [33, 34, 63, 64],
+    280: [32, 33, 64],
+    290: [31, 32, 64],
+    300: [30, 31, 64],
+    310: [29, 30, 64],
+    320: [28, 29, 64],
+    330: [27, 28, 64],
+    340: [26, 27, 65],
+    350: [25, 26, 65],
+    360: [24, 25, 65],
+    370: [23, 24, 65],
+    380: [22, 23, 65],
+    390: [20, 21, 22, 65],
+    400: [20, 65],
+    410: [19, 65],
+    420: [17, 18],
+    430: [16, 17, 66],
+    440: [15, 16, 66],
+    450: [15, 66],
+    460: [13, 14, 66],
+    470: [12, 13, 66],
+    480: [11, 12, 66],
+    490: [11, 66]
+  },
+  720: {
+    110: [53, 54, 55, 56],
+    120: [51, 52, 53, 54, 55, 56, 57],
+    130: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    140: [48, 49, 50, 57, 58, 59],
+    150: [46, 47, 48, 58, 59],
+    160: [45, 46, 47, 59, 60],
+    170: [44, 45, 60],
+    180: [43, 44, 60, 61],
+    190: [42, 43, 60, 61],
+    200: [41, 42, 61],
+    210: [39, 40, 41, 61, 62],
+    220: [38, 39, 40, 62],
+    230: [37, 38, 62],
+    240: [36, 37, 62],
+    250: [35, 36, 62, 63],
+    260: [34, 35, 63],
+    270: [33, 34, 63],
+    280: [32, 33, 63],
+    290: [31, 32, 63],
+    300: [30, 31, 63],
+    310: [29, 30, 64],
+    320: [28, 29, 64],
+    330: [27, 28, 64],
+    340: [26, 27, 64],
+    350: [25, 26, 64],
+    360: [24, 25, 64],
+    370: [23, 24, 64],
+    380: [22, 23, 65],
+    390: [21, 22, 65],
+    400: [20, 21, 65],
+    410: [19, 20, 65],
+    420: [18, 19, 65],
+    430: [17, 18, 65],
+    440: [16, 17, 65],
+    450: [15, 16, 65],
+    460: [13, 14, 15, 65],
+    470: [12, 13],
+    480: [12, 66],
+    490: [11, 66]
+  },
+  730: {
+    120: [52, 53, 54, 55, 56],
+    130: [50, 51, 52, 53, 54, 55, 56, 57],
+    140: [48, 49, 50, 51, 52, 55, 56, 57, 58],
+    150: [47, 48, 49, 57, 58, 59],
+    160: [45, 46, 47, 58, 59],
+    170: [44, 45, 46, 59, 60],
+    180: [43, 44, 59, 60],
+    190: [42, 43, 60],
+    200: [41, 42, 60, 61],
+    210: [40, 41, 60, 61],
+    220: [39, 40, 61],
+    230: [37, 38, 39, 61, 62],
+    240: [37, 38, 61, 62],
+    250: [35, 36, 62],
+    260: [34, 35, 62],
+    270: [33, 34, 62],
+    280: [32, 33, 62, 63],
+    290: [31, 32, 63],
+    300: [30, 31, 63],
+    310: [29, 30, 63],
+    320: [28, 29, 63],
+    330: [27, 28, 63],
+    340: [26, 27, 63, 64],
+    350: [25, 26, 64],
+    360: [24, 25, 64],
+    370: [23, 24, 64],
+    380: [22, 23, 64],
+    390: [21, 22, 64],
+    400: [20, 21, 64],
+    410: [19, 20, 64],
+    420: [18, 19, 65],
+    430: [17, 18, 65],
+    440: [16, 17, 65],
+    450: [15, 16, 65],
+    460: [14, 15, 65],
+    470: [13, 14, 65],
+    480: [12, 13, 65],
+    490: [11, 12, 65]
+  },
+  740: {
+    130: [50, 51, 52, 53, 54, 55, 56],
+    140: [49, 50, 51, 52, 53, 54, 55, 56, 57],
+    150: [47, 48, 49, 50, 55, 56, 57, 58],
+    160: [46, 47, 48, 57, 58],
+    170: [44, 45, 46, 58, 59],
+    180: [43, 44, 45, 58, 59],
+    190: [42, 43, 59, 60],
+    200: [41, 42, 59, 60],
+    210: [40, 41, 60],
+    220: [39, 40, 60, 61],
+    230: [38, 39, 60, 61],
+    240: [37, 38, 61],
+    250: [36, 37, 61],
+    260: [35, 36, 61, 62],
+    270: [33, 34, 35, 62],
+    280: [33, 34, 62],
+    290: [31, 32, 62],
+    300: [30, 31, 62],
+    310: [29, 30, 62, 63],
+    320: [28, 29, 63],
+    330: [27, 28, 63],
+    340: [26, 27, 63],
+    350: [25, 26, 63],
+    360: [24, 25, 63],
+    370: [23, 24, 63],
+    380: [22, 23, 64],
+    390: [21, 22, 64],
+    400: [20, 21, 64],
+    410: [19, 20, 64],
+    420: [18, 19, 64],
+    430: [17, 18, 64],
+    440: [16, 17, 64],
+    450: [15, 16, 64],
+    460: [14, 15, 64],
+    470: [13, 14, 65],
+    480: [12, 13, 65],
+    490: [12]
+  },
+  750: {
+    130: [53],
+    140: [49, 50, 51, 52, 53, 54, 55],
+    150: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    160: [46, 47, 48, 49, 55, 56, 57],
+    170: [45, 46, 47, 56, 57, 58],
+    180: [44, 45, 57, 58],
+    190: [42, 43, 44, 58, 59],
+    200: [41, 42, 43, 58, 59],
+    210: [40, 41, 59, 60],
+    220: [39, 40, 59, 60],
+    230: [38, 39, 60],
+    240: [37, 38, 60],
+    250: [36, 37, 60, 61],
+    260: [35, 36, 61],
+    270: [34, 35, 61],
+    280: [33, 34, 61],
+    290: [32, 33, 61, 62],
+    300: [31, 32, 62],
+    310: [30, 31, 62],
+    320: [29, 62],
+    330: [28, 29, 62],
+    340: [27, 62],
+    350: [25, 26, 27, 63],
+    360: [25, 63],
+    370: [23, 24, 63],
+    380: [23, 63],
+    390: [21, 22, 63],
+    400: [20, 21, 63],
+    410: [20, 63],
+    420: [19, 63, 64],
+    430: [17, 18, 64],
+    440: [16, 17, 64],
+    450: [16, 64],
+    460: [15, 64],
+    470: [13, 14, 64],
+    480: [12, 13, 64],
+    490: [12, 64]
+  },
+  760: {
+    140: [51, 52, 53, 54],
+    150: [48, 49, 50, 51, 52, 53, 54, 55],
+    160: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    170: [45, 46, 47, 48, 55, 56, 57],
+    180: [44, 45, 46, 56, 57, 58],
+    190: [43, 44, 57, 58],
+    200: [41, 42, 43, 58],
+    210: [40, 41, 42, 58, 59],
+    220: [39, 40, 59],
+    230: [38, 39, 59],
+    240: [37, 38, 59, 60],
+    250: [36, 37, 60],
+    260: [35, 36, 60],
+    270: [34, 35, 60, 61],
+    280: [33, 34, 60, 61],
+    290: [32, 33, 61],
+    300: [31, 32, 61],
+    310: [30, 31, 61],
+    320: [29, 30, 61, 62],
+    330: [28, 29, 62],
+    340: [27, 28, 62],
+    350: [26, 27, 62],
+    360: [25, 26, 62],
+    370: [24, 25, 62],
+    380: [23, 24, 62],
+    390: [22, 23, 63],
+    400: [21, 22, 63],
+    410: [20, 21, 63],
+    420: [19, 20, 63],
+    430: [18, 19, 63],
+    440: [17, 18, 63],
+    450: [16, 17, 63],
+    460: [15, 16, 63],
+    470: [14, 15, 64],
+    480: [13, 14, 64],
+    490: [13]
+  },
+  770: {
+    150: [50, 51, 52, 53],
+    160: [47, 48, 49, 50, 51, 52, 53, 54, 55],
+    170: [46, 47, 48, 49, 50, 52, 53, 54, 55, 56],
+    180: [44, 45, 46, 47, 55, 56, 57],
+    190: [43, 44, 45, 56, 57],
+    200: [42, 43, 57, 58],
+    210: [41, 42, 57, 58],
+    220: [39, 40, 41, 58],
+    230: [38, 39, 40, 58, 59],
+    240: [37, 38, 59],
+    250: [36, 37, 59],
+    260: [35, 36, 59, 60],
+    270: [34, 35, 60],
+    280: [33, 34, 60],
+    290: [32, 33, 60],
+    300: [31, 32, 60, 61],
+    310: [30, 31, 61],
+    320: [29, 30, 61],
+    330: [28, 29, 61],
+    340: [27, 28, 61],
+    350: [26, 27, 61, 62],
+    360: [25, 26, 62],
+    370: [24, 25, 62],
+    380: [23, 24, 62],
+    390: [22, 23, 62],
+    400: [21, 22, 62],
+    410: [20, 21, 62],
+    420: [19, 20, 62],
+    430: [18, 19, 63],
+    440: [17, 18, 63],
+    450: [16, 17, 63],
+    460: [15, 16, 63],
+    470: [14, 15, 63],
+    480: [13, 14, 63],
+    490: [13]
+  },
+  780: {
+    160: [48, 49, 50, 51, 52, 53],
+    170: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    180: [45, 46, 47, 48, 53, 54, 55, 56],
+    190: [44, 45, 46, 54, 55, 56],
+    200: [42, 43, 44, 55, 56, 57],
+    210: [41, 42, 43, 56, 57],
+    220: [40, 41, 57, 58],
+    230: [39, 40, 57, 58],
+    240: [38, 39, 58],
+    250: [36, 37, 38, 58, 59],
+    260: [35, 36, 37, 59],
+    270: [34, 35, 59],
+    280: [33, 34, 59, 60],
+    290: [32, 33, 59, 60],
+    300: [31, 32, 60],
+    310: [30, 31, 60],
+    320: [29, 30, 60],
+    330: [28, 29, 60, 61],
+    340: [27, 28, 61],
+    350: [26, 27, 61],
+    360: [25, 26, 61],
+    370: [24, 25, 61],
+    380: [23, 24, 61],
+    390: [22, 23, 61, 62],
+    400: [21, 22, 62],
+    410: [20, 21, 62],
+    420: [19, 20, 62],
+    430: [18, 19, 62],
+    440: [17, 18, 62],
+    450: [16, 17, 62],
+    460: [15, 16, 62],
+    470: [15, 63],
+    480: [14, 63],
+    490: [13, 14]
+  },
+  790: {
+    170: [48, 49, 50, 51, 52, 53],
+    180: [46, 47, 48, 49, 50, 51, 52, 53, 54],
+    190: [44, 45, 46, 47, 53, 54, 55],
+    200: [43, 44, 45, 54, 55, 56],
+    210: [41, 42, 43, 55, 56],
+    220: [40, 41, 42, 56, 57],
+    230: [39, 40, 41, 56, 57],
+    240: [38, 39, 57, 58],
+    250: [37, 38, 57, 58],
+    260: [36, 37, 58],
+    270: [35, 36, 58, 59],
+    280: [34, 35, 58, 59],
+    290: [33, 34, 59],
+    300: [32, 33, 59],
+    310: [30, 31, 59, 60],
+    320: [29, 30, 31, 59, 60],
+    330: [29, 60],
+    340: [27, 28, 60],
+    350: [27, 28, 60],
+    360: [25, 26, 60, 61],
+    370: [25, 26, 61],
+    380: [24, 61],
+    390: [23, 24, 61],
+    400: [22, 61],
+    410: [21, 22, 61],
+    420: [20, 21, 61],
+    430: [19, 62],
+    440: [18, 19, 62],
+    450: [17, 18, 62],
+    460: [16, 17, 62],
+    470: [15, 16, 62],
+    480: [14, 15, 62],
+    490: [14, 62]
+  },
+  800: {
+    170: [49, 50, 51],
+    180: [47, 48, 49, 50, 51, 52, 53],
+    190: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    200: [43, 44, 45, 46, 52, 53, 54, 55],
+    210: [42, 43, 44, 54, 55],
+    220: [41, 42, 55, 56],
+    230: [39, 40, 41, 55, 56],
+    240: [38, 39, 40, 56, 57],
+    250: [37, 38, 39, 57],
+    260: [36, 37, 57, 58],
+    270: [35, 36, 57, 58],
+    280: [34, 35, 58],
+    290: [33, 34, 58],
+    300: [32, 33, 58, 59],
+    310: [31, 32, 59],
+    320: [30, 31, 59],
+    330: [29, 30, 59],
+    340: [28, 29, 59, 60],
+    350: [27, 28, 60],
+    360: [26, 27, 60],
+    370: [25, 26, 60],
+    380: [24, 25, 60],
+    390: [23, 24, 60],
+    400: [22, 23, 60, 61],
+    410: [21, 22, 61],
+    420: [20, 21, 61],
+    430: [19, 20, 61],
+    440: [18, 19, 61],
+    450: [17, 18, 61],
+    460: [16, 17, 61],
+    470: [15, 16, 61],
+    480: [14, 15, 62],
+    490: [14, 62],
+    500: [62]
+  },
+  810: {
+    180: [48, 49, 50, 51],
+    190: [46, 47, 48, 49, 50, 51, 52, 53],
+    200: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    210: [42, 43, 44, 45, 52, 53, 54],
+    220: [41, 42, 43, 53, 54, 55],
+    230: [40, 41, 42, 54, 55, 56],
+    240: [39, 40, 55, 56],
+    250: [37, 38, 39, 56],
+    260: [36, 37, 38, 56, 57],
+    270: [35, 36, 37, 56, 57],
+    280: [34, 35, 57],
+    290: [33, 34, 57, 58],
+    300: [32, 33, 58],
+    310: [31, 32, 58],
+    320: [30, 31, 58, 59],
+    330: [29, 30, 58, 59],
+    340: [28, 29, 59],
+    350: [27, 28, 59],
+    360: [26, 27, 59],
+    370: [25, 26, 59, 60],
+    380: [24, 25, 59, 60],
+    390: [23, 24, 60],
+    400: [22, 23, 60],
+    410: [21, 22, 60],
+    420: [20, 21, 60],
+    430: [19, 20, 60, 61],
+    440: [18, 19, 61],
+    450: [17, 18, 61],
+    460: [17, 61],
+    470: [16, 61],
+    480: [15, 16, 61],
+    490: [14, 15, 61],
+    500: [14]
+  },
+  820: {
+    190: [47, 48, 49, 50, 51],
+    200: [45, 46, 47, 48, 49, 50, 51, 52],
+    210: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    220: [42, 43, 44, 52, 53, 54],
+    230: [40, 41, 42, 53, 54, 55],
+    240: [39, 40, 41, 54, 55],
+    250: [38, 39, 55, 56],
+    260: [37, 38, 55, 56],
+    270: [36, 37, 56],
+    280: [35, 36, 56, 57],
+    290: [34, 35, 56, 57],
+    300: [32, 33, 34, 57],
+    310: [31, 32, 33, 57, 58],
+    320: [30, 31, 57, 58],
+    330: [29, 30, 58],
+    340: [28, 29, 58],
+    350: [27, 28, 58, 59],
+    360: [26, 27, 58, 59],
+    370: [25, 26, 59],
+    380: [24, 25, 59],
+    390: [24, 59],
+    400: [23, 59],
+    410: [22, 23, 59, 60],
+    420: [21, 22, 60],
+    430: [20, 60],
+    440: [19, 20, 60],
+    450: [18, 19, 60],
+    460: [17, 18, 60],
+    470: [16, 17, 60],
+    480: [15, 16, 61],
+    490: [15, 61]
+  },
+  830: {
+    200: [46, 47, 48, 49, 50, 51],
+    210: [44, 45, 46, 47, 48, 49, 50, 51, 52],
+    220: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    230: [41, 42, 43, 44, 51, 52, 53, 54],
+    240: [40, 41, 42, 53, 54],
+    250: [38, 39, 40, 53, 54, 55],
+    260: [37, 38, 39, 54, 55],
+    270: [36, 37, 38, 55, 56],
+    280: [35, 36, 55, 56],
+    290: [34, 35, 56],
+    300: [33, 34, 56, 57],
+    310: [32, 33, 56, 57],
+    320: [31, 32, 57],
+    330: [30, 31, 57],
+    340: [29, 30, 57, 58],
+    350: [28, 29, 58],
+    360: [27, 28, 58],
+    370: [26, 27, 58],
+    380: [25, 26, 58],
+    390: [24, 25, 58, 59],
+    400: [23, 24, 59],
+    410: [22, 23, 59],
+    420: [21, 22, 59],
+    430: [20, 21, 59],
+    440: [19, 20, 59, 60],
+    450: [18, 19, 60],
+    460: [17, 18, 60],
+    470: [16, 17, 60],
+    480: [15, 16, 60],
+    490: [15, 60],
+    500: [60]
+  },
+  840: {
+    210: [45, 46, 47, 48, 49, 50],
+    220: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    230: [42, 43, 44, 45, 46, 48, 49, 50, 51, 52],
+    240: [40, 41, 42, 43, 51, 52, 53],
+    250: [39, 40, 41, 52, 53, 54],
+    260: [38, 39, 40, 53, 54],
+    270: [37, 38, 54, 55],
+    280: [36, 37, 54, 55],
+    290: [34, 35, 36, 55, 56],
+    300: [33, 34, 35, 55, 56],
+    310: [32, 33, 56],
+    320: [31, 32, 56],
+    330: [30, 31, 56, 57],
+    340: [29, 30, 57],
+    350: [28, 29, 57],
+    360: [27, 28, 57],
+    370: [26, 27, 57, 58],
+    380: [25, 26, 58],
+    390: [24, 25, 58],
+    400: [23, 24, 58],
+    410: [22, 23, 58],
+    420: [21, 22, 59],
+    430: [20, 21, 59],
+    440: [19, 20, 59],
+    450: [19, 59],
+    460: [18, 59],
+    470: [17, 18, 59],
+    480: [16, 17, 59, 60],
+    490: [16, 60]
+  },
+  850: {
+    220: [45, 46, 47, 48, 49, 50],
+    230: [43, 44, 45, 46, 47, 48, 49, 50, 51],
+    240: [41, 42, 43, 44, 45, 46, 48, 49, 50, 51, 52],
+    250: [40, 41, 42, 51, 52, 53],
+    260: [38, 39, 40, 52, 53],
+    270: [37, 38, 39, 53, 54],
+    280: [36, 37, 53, 54],
+    290: [35, 36, 54, 55],
+    300: [34, 35, 54, 55],
+    310: [33, 34, 55, 56],
+    320: [31, 32, 33, 55, 56],
+    330: [31, 32, 56],
+    340: [29, 30, 31, 56],
+    350: [28, 29, 30, 56, 57],
+    360: [28, 57],
+    370: [26, 27, 28, 57],
+    380: [26, 27, 57],
+    390: [25, 57],
+    400: [24, 25, 57, 58],
+    410: [23, 24, 58],
+    420: [22, 23, 58],
+    430: [21, 22, 58],
+    440: [20, 21, 58],
+    450: [19, 20, 58, 59],
+    460: [18, 19, 59],
+    470: [17, 18, 59],
+    480: [16, 17, 59],
+    490: [16, 59],
+    500: [59]
+  },
+  860: {
+    230: [44, 45, 46, 47, 48, 49],
+    240: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    250: [40, 41, 42, 43, 44, 48, 49, 50, 51, 52],
+    260: [39, 40, 41, 42, 50, 51, 52],
+    270: [38, 39, 40, 51, 52, 53],
+    280: [37, 38, 52, 53],
+    290: [35, 36, 37, 53, 54],
+    300: [34, 35, 36, 53, 54],
+    310: [33, 34, 54, 55],
+    320: [32, 33, 54, 55],
+    330: [31, 32, 55],
+    340: [30, 31, 55, 56],
+    350: [29, 30, 55, 56],
+    360: [28, 29, 56],
+    370: [27, 28, 56],
+    380: [26, 27, 56, 57],
+    390: [25, 26, 57],
+    400: [24, 25, 57],
+    410: [23, 24, 57],
+    420: [22, 23, 57],
+    430: [21, 22, 57, 58],
+    440: [20, 21, 58],
+    450: [20, 58],
+    460: [18, 19, 58],
+    470: [18, 58],
+    480: [17, 58],
+    490: [16, 17, 59]
+  },
+  870: {
+    240: [43, 44, 45, 46, 47, 48, 49],
+    250: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    260: [40, 41, 42, 43, 44, 48, 49, 50, 51],
+    270: [38, 39, 40, 41, 50, 51, 52],
+    280: [37, 38, 39, 51, 52, 53],
+    290: [36, 37, 38, 52, 53],
+    300: [35, 36, 53],
+    310: [34, 35, 53, 54],
+    320: [32, 33, 34, 53, 54],
+    330: [31, 32, 33, 54, 55],
+    340: [30, 31, 32, 54, 55],
+    350: [29, 30, 31, 55],
+    360: [28, 29, 55, 56],
+    370: [27, 28, 55, 56],
+    380: [26, 27, 56],
+    390: [25, 26, 56],
+    400: [25, 56],
+    410: [23, 24, 56, 57],
+    420: [23, 57],
+    430: [22, 23, 57],
+    440: [21, 22, 57],
+    450: [20, 21, 57],
+    460: [19, 20, 57],
+    470: [18, 19, 58],
+    480: [17, 18, 58],
+    490: [17]
+  },
+  880: {
+    250: [43, 44, 45, 46, 47, 48],
+    260: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    270: [39, 40, 41, 42, 43, 47, 48, 49, 50, 51],
+    280: [38, 39, 40, 49, 50, 51],
+    290: [36, 37, 38, 50, 51, 52],
+    300: [35, 36, 37, 51, 52, 53],
+    310: [34, 35, 36, 52, 53],
+    320: [33, 34, 53],
+    330: [32, 33, 53, 54],
+    340: [31, 32, 53, 54],
+    350: [30, 31, 54, 55],
+    360: [29, 30, 54, 55],
+    370: [28, 29, 55],
+    380: [27, 28, 55],
+    390: [26, 27, 55, 56],
+    400: [25, 26, 55, 56],
+    410: [24, 25, 56],
+    420: [23, 24, 56],
+    430: [22, 23, 56],
+    440: [21, 22, 56, 57],
+    450: [20, 21, 57],
+    460: [19, 20, 57],
+    470: [18, 19, 57],
+    480: [18, 57],
+    490: [17, 57],
+    500: [17]
+  },
+  890: {
+    260: [42, 43, 44, 45, 46, 47, 48],
+    270: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    280: [39, 40, 41, 42, 43, 47, 48, 49, 50],
+    290: [37, 38, 39, 40, 49, 50, 51],
+    300: [36, 37, 38, 50, 51, 52],
+    310: [35, 36, 37, 51, 52],
+    320: [34, 35, 51, 52, 53],
+    330: [32, 33, 34, 52, 53],
+    340: [31, 32, 33, 52, 53],
+    350: [30, 31, 32, 53, 54],
+    360: [29, 30, 31, 53, 54],
+    370: [28, 29, 54],
+    380: [27, 28, 54, 55],
+    390: [26, 27, 54, 55],
+    400: [25, 26, 55],
+    410: [24, 25, 55],
+    420: [23, 24, 55, 56],
+    430: [23, 55, 56],
+    440: [22, 56],
+    450: [21, 22, 56],
+    460: [20, 21, 56],
+    470: [19, 20, 56, 57],
+    480: [18, 19, 57],
+    490: [17, 18]
+  },
+  900: {
+    270: [42, 43, 44, 45, 46, 47, 48],
+    280: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    290: [38, 39, 40, 41, 42, 46, 47, 48, 49, 50],
+    300: [37, 38, 39, 48, 49, 50, 51],
+    310: [35, 36, 37, 38, 49, 50, 51],
+    320: [34, 35, 36, 50, 51, 52],
+    330: [33, 34, 35, 51, 52],
+    340: [32, 33, 52, 53],
+    350: [31, 32, 52, 53],
+    360: [30, 31, 52, 53],
+    370: [29, 30, 53],
+    380: [28, 29, 53, 54],
+    390: [27, 28, 54],
+    400: [26, 27, 54],
+    410: [25, 26, 54, 55],
+    420: [24, 25, 55],
+    430: [23, 24, 55],
+    440: [22, 23, 55],
+    450: [21, 22, 55, 56],
+    460: [20, 21, 56],
+    470: [19, 20, 56],
+    480: [19, 56],
+    490: [18, 56],
+    500: [18]
+  },
+  910: {
+    280: [41, 42, 43, 44, 45, 46, 47],
+    290: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    300: [38, 39, 40, 41, 42, 46, 47, 48, 49],
+    310: [36, 37, 38, 39, 48, 49, 50],
+    320: [35, 36, 37, 49, 50, 51],
+    330: [34, 35, 36, 50, 51],
+    340: [32, 33, 34, 50, 51, 52],
+    350: [31, 32, 33, 51, 52],
+    360: [30, 31, 32, 52],
+    370: [29, 30, 31, 52, 53],
+    380: [28, 29, 30, 52, 53],
+    390: [27, 28, 53],
+    400: [26, 27, 53, 54],
+    410: [25, 26, 54],
+    420: [24, 25, 54],
+    430: [23, 24, 54],
+    440: [22, 23, 24, 54, 55],
+    450: [22, 55],
+    460: [21, 22, 55],
+    470: [20, 21, 55],
+    480: [19, 20, 55, 56],
+    490: [18, 19, 55]
+  },
+  920: {
+    290: [41, 42, 43, 44, 45, 46, 47],
+    300: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    310: [37, 38, 39, 40, 41, 42, 45, 46, 47, 48, 49],
+    320: [36, 37, 38, 47, 48, 49, 50],
+    330: [34, 35, 36, 37, 49, 50],
+    340: [33, 34, 35, 49, 50, 51],
+    350: [32, 33, 34, 50, 51],
+    360: [31, 32, 33, 51, 52],
+    370: [30, 31, 51, 52],
+    380: [29, 30, 52],
+    390: [28, 29, 52, 53],
+    400: [27, 28, 52, 53],
+    410: [26, 27, 53],
+    420: [25, 26, 53, 54],
+    430: [24, 25, 53, 54],
+    440: [23, 24, 54],
+    450: [22, 23, 54],
+    460: [21, 22, 54],
+    470: [20, 21, 54, 55],
+    480: [19, 20, 55],
+    490: [19, 55]
+  },
+  930: {
+    300: [40, 41, 42, 43, 44, 45, 46],
+    310: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    320: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    330: [35, 36, 37, 38, 47, 48, 49],
+    340: [34, 35, 36, 48, 49, 50],
+    350: [33, 34, 35, 49, 50],
+    360: [32, 33, 50, 51],
+    370: [31, 32, 50, 51],
+    380: [30, 31, 51, 52],
+    390: [28, 29, 30, 51, 52],
+    400: [27, 28, 29, 51, 52],
+    410: [26, 27, 28, 52, 53],
+    420: [25, 26, 27, 52, 53],
+    430: [24, 25, 26, 52, 53],
+    440: [24, 53],
+    450: [23, 24, 53, 54],
+    460: [22, 23, 53, 54],
+    470: [21, 22, 54],
+    480: [20, 21, 54],
+    490: [20, 54]
+  },
+  940: {
+    310: [40, 41, 42, 43, 44, 45, 46],
+    320: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    330: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    340: [35, 36, 37, 38, 46, 47, 48],
+    350: [34, 35, 36, 47, 48, 49],
+    360: [32, 33, 34, 48, 49, 50],
+    370: [31, 32, 33, 49, 50],
+    380: [30, 31, 32, 50, 51],
+    390: [29, 30, 50, 51],
+    400: [28, 29, 51],
+    410: [27, 28, 51, 52],
+    420: [26, 27, 51, 52],
+    430: [25, 26, 52],
+    440: [24, 25, 52, 53],
+    450: [23, 24, 52, 53],
+    460: [22, 23, 53],
+    470: [21, 22, 53],
+    480: [20, 21, 53],
+    490: [20, 53, 54]
+  },
+  950: {
+    320: [39, 40, 41, 42, 43, 44, 45],
+    330: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    340: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    350: [35, 36, 37, 38, 45, 46, 47, 48],
+    360: [33, 34, 35, 36, 47, 48, 49],
+    370: [32, 33, 34, 48, 49],
+    380: [31, 32, 33, 48, 49, 50],
+    390: [30, 31, 49, 50],
+    400: [29, 30, 50],
+    410: [28, 29, 50, 51],
+    420: [27, 28, 50, 51],
+    430: [26, 27, 51, 52],
+    440: [25, 26, 51, 52],
+    450: [24, 25, 52],
+    460: [23, 24, 52],
+    470: [22, 23, 52, 53],
+    480: [21, 22, 53],
+    490: [21, 53],
+    500: [53]
+  },
+  960: {
+    330: [39, 40, 41, 42, 43, 44],
+    340: [37, 38, 39, 40, 41, 42, 43, 44, 45],
+    350: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    360: [34, 35, 36, 37, 45, 46, 47, 48],
+    370: [33, 34, 35, 46, 47, 48],
+    380: [32, 33, 34, 47, 48, 49],
+    390: [31, 32, 48, 49],
+    400: [29, 30, 31, 48, 49, 50],
+    410: [28, 29, 30, 49, 50],
+    420: [27, 28, 29, 50],
+    430: [26, 27, 28, 50, 51],
+    440: [25, 26, 27, 50, 51],
+    450: [24, 25, 51],
+    460: [23, 24, 51, 52],
+    470: [22, 23, 24, 51, 52],
+    480: [21, 22, 23, 52],
+    490: [21, 22, 52]
+  },
+  970: {
+    340: [39, 40, 41, 42, 43],
+    350: [37, 38, 39, 40, 41, 42, 43, 44, 45],
+    360: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    370: [34, 35, 36, 37, 44, 45, 46, 47],
+    380: [33, 34, 35, 45, 46, 47, 48],
+    390: [31, 32, 33, 46, 47, 48],
+    400: [30, 31, 32, 47, 48, 49],
+    410: [29, 30, 31, 48, 49],
+    420: [28, 29, 30, 48, 49, 50],
+    430: [27, 28, 49, 50],
+    440: [26, 27, 49, 50],
+    450: [25, 26, 50, 51],
+    460: [24, 25, 50, 51],
+    470: [23, 24, 51],
+    480: [22, 23, 51],
+    490: [22, 51]
+  },
+  980: {
+    350: [39, 40, 41, 42],
+    360: [37, 38, 39, 40, 41, 42, 43, 44],
+    370: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    380: [33, 34, 35, 36, 37, 43, 44, 45, 46],
+    390: [32, 33, 34, 35, 45, 46, 47],
+    400: [31, 32, 33, 46, 47, 48],
+    410: [30, 31, 32, 47, 48],
+    420: [29, 30, 47, 48],
+    430: [27, 28, 29, 48, 49],
+    440: [27, 28, 48, 49],
+    450: [26, 27, 49, 50],
+    460: [25, 26, 49, 50],
+    470: [24, 25, 50],
+    480: [23, 24, 50, 51],
+    490: [23, 50, 51]
+  },
+  990: {
+    360: [40, 41, 42],
+    370: [37, 38, 39, 40, 41, 42, 43],
+    380: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    390: [33, 34, 35, 36, 37, 42, 43, 44, 45, 46],
+    400: [32, 33, 34, 35, 44, 45, 46],
+    410: [31, 32, 33, 45, 46, 47],
+    420: [29, 30, 31, 32, 46, 47, 48],
+    430: [28, 29, 30, 47, 48],
+    440: [27, 28, 29, 47, 48],
+    450: [26, 27, 28, 48, 49],
+    460: [25, 26, 27, 48, 49],
+    470: [24, 25, 49, 50],
+    480: [23, 24, 25, 49, 50],
+    490: [23, 24, 50],
+    500: [23]
+  },
+  1000: {
+    380: [36, 37, 38, 39, 40, 41, 42, 43],
+    390: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    400: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    410: [32, 33, 34, 35, 43, 44, 45, 46],
+    420: [30, 31, 32, 33, 44, 45, 46],
+    430: [29, 30, 31, 45, 46, 47],
+    440: [28, 29, 30, 46, 47, 48],
+    450: [27, 28, 29, 47, 48],
+    460: [26, 27, 28, 47, 48],
+    470: [25, 26, 48, 49],
+    480: [24, 25, 48, 49],
+    490: [23, 24, 49]
+  },
+  1010: {
+    390: [37, 38, 39, 40, 41, 42],
+    400: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    420: [31, 32, 33, 34, 35, 42, 43, 44, 45],
+    430: [30, 31, 32, 33, 44, 45, 46],
+    440: [29, 30, 31, 45, 46],
+    450: [28, 29, 30, 46, 47],
+    460: [27, 28, 46, 47],
+    470: [26, 27, 47, 48],
+    480: [25, 26, 47, 48],
+    490: [24, 25, 48]
+  },
+  1020: {
+    400: [37, 38, 39, 40, 41],
+    410: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    420: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    430: [31, 32, 33, 34, 35, 41, 42, 43, 44],
+    440: [30, 31, 32, 33, 43, 44, 45],
+    450: [29, 30, 31, 44, 45, 46],
+    460: [28, 29, 30, 45, 46],
+    470: [27, 28, 46, 47],
+    480: [26, 27, 46, 47],
+    490: [25, 26, 47],
+    500: [47]
+  },
+  1030: {
+    410: [37, 38, 39, 40],
+    420: [34, 35, 36, 37, 38, 39, 40, 41, 42],
+    430: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    440: [31, 32, 33, 34, 35, 36, 40, 41, 42, 43, 44],
+    450: [30, 31, 32, 33, 42, 43, 44, 45],
+    460: [29, 30, 31, 44, 45],
+    470: [28, 29, 30, 44, 45, 46],
+    480: [26, 27, 28, 45, 46],
+    490: [26, 27, 46, 47]
+  },
+  1040: {
+    420: [37, 38],
+    430: [35, 36, 37, 38, 39, 40, 41],
+    440: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    450: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    460: [30, 31, 32, 33, 41, 42, 43, 44],
+    470: [29, 30, 31, 42, 43, 44, 45],
+    480: [27, 28, 29, 30, 44, 45],
+    490: [27, 28, 44, 45],
+    500: [45]
+  },
+  1050: {
+    440: [35, 36, 37, 38, 39, 40],
+    450: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    460: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    470: [30, 31, 32, 33, 40, 41, 42, 43],
+    480: [28, 29, 30, 31, 42, 43, 44],
+    490: [28, 29, 30, 43, 44, 45]
+  },
+  1060: {
+    450: [35, 36, 37, 38, 39],
+    460: [33, 34, 35, 36, 37, 38, 39, 40, 41],
+    470: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    480: [30, 31, 32, 33, 34, 38, 39, 40, 41, 42, 43],
+    490: [29, 30, 31, 41, 42, 43],
+    500: [43]
+  },
+  1070: {
+    460: [37, 38],
+    470: [33, 34, 35, 36, 37, 38, 39],
+    480: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
+    490: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    500: [32]
+  },
+  1080: {
+    480: [33, 34, 35, 36, 37, 38, 39],
+    490: [32, 34, 35, 36, 37, 38, 39, 40],
+    500: [37]
+  },
+  1090: {
+    490: [37]
+  }
+};
@@ -0,0 +1,4648 @@
+// Firing Table Data for World 8
+// Cannonball size level 10 (radius 16.0px)
+// Generated on 2026-10-19T18:31:51.121Z
+export default {
+  0: {
+    0: [95, 96, 100, 101, 102],
+    10: [95, 96, 100, 101, 102, 103],
+    20: [95, 96, 101, 102, 103],
+    30: [95, 96, 101, 102, 103, 104],
+    40: [95, 96, 101, 102, 103, 104],
+    50: [95, 96, 102, 103, 104],
+    60: [95, 96, 102, 103, 104, 105],
+    70: [95, 96, 102, 103, 104, 105],
+    80: [95, 96, 103, 104, 105, 106],
+    90: [95, 96, 103, 104, 105, 106],
+    100: [95, 96, 103, 104, 105, 106, 107],
+    110: [95, 96, 104, 105, 106, 107],
+    120: [95, 96, 104, 105, 106, 107, 108],
+    130: [95, 96, 105, 106, 107, 108, 109],
+    140: [95, 105, 106, 107, 108, 109],
+    150: [95, 106, 107, 108, 109, 110],
+    160: [95, 106, 107, 108, 109, 110, 111],
+    170: [95, 107, 108, 109, 110, 111],
+    180: [95, 108, 109, 110, 111, 112],
+    190: [95, 108, 109, 110, 111, 112, 113],
+    200: [95, 109, 110, 111, 112, 113, 114],
+    210: [95, 109, 110, 111, 112, 113, 114, 115],
+    220: [95, 110, 111, 112, 113, 114, 115, 116],
+    230: [95, 111, 112, 113, 114, 115, 116, 117],
+    240: [95, 112, 113, 114, 115, 116, 117, 118],
+    250: [95, 113, 114, 115, 116, 117, 118, 119],
+    260: [95, 114, 115, 116, 117, 118, 119, 120, 121],
+    270: [95, 115, 116, 117, 118, 119, 120, 121, 122],
+    280: [95, 116, 117, 118, 119, 120, 121, 122, 123],
+    290: [95, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    300: [95, 119, 120, 121, 122, 123, 124, 125, 126],
+    310: [95, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    320: [95, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    330: [95, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    340: [95, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    350: [95, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    360: [95, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    370: [95, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    380: [95, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    390: [94, 95, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    400: [94, 95, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    410: [94, 95, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    420: [94, 95, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    430: [94, 95, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    440: [94, 95, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    450: [94, 95, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    460: [94, 95, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [94, 95, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [94, 95, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    490: [95, 178, 179, 180, 181, 182, 183],
+    500: [183]
+  },
+  10: {
+    0: [95, 96, 99, 100, 101],
+    10: [95, 96, 99, 100, 101, 102],
+    20: [95, 96, 100, 101, 102],
+    30: [95, 96, 100, 101, 102, 103],
+    40: [95, 100, 101, 102, 103],
+    50: [95, 101, 102, 103],
+    60: [95, 101, 102, 103, 104],
+    70: [95, 101, 102, 103, 104],
+    80: [95, 102, 103, 104, 105],
+    90: [95, 102, 103, 104, 105],
+    100: [95, 102, 103, 104, 105, 106],
+    110: [95, 103, 104, 105, 106],
+    120: [95, 103, 104, 105, 106, 107],
+    130: [95, 103, 104, 105, 106, 107],
+    140: [94, 95, 104, 105, 106, 107, 108],
+    150: [94, 95, 104, 105, 106, 107, 108, 109],
+    160: [94, 95, 105, 106, 107, 108, 109],
+    170: [94, 95, 105, 106, 107, 108, 109, 110],
+    180: [94, 95, 106, 107, 108, 109, 110, 111],
+    190: [94, 95, 107, 108, 109, 110, 111, 112],
+    200: [94, 95, 107, 108, 109, 110, 111, 112, 113],
+    210: [94, 95, 108, 109, 110, 111, 112, 113],
+    220: [94, 95, 109, 110, 111, 112, 113, 114],
+    230: [94, 95, 110, 111, 112, 113, 114, 115],
+    240: [94, 95, 110, 111, 112, 113, 114, 115, 116],
+    250: [94, 95, 111, 112, 113, 114, 115, 116, 117, 118],
+    260: [94, 95, 112, 113, 114, 115, 116, 117, 118, 119],
+    270: [94, 95, 113, 114, 115, 116, 117, 118, 119, 120],
+    280: [94, 95, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    290: [94, 95, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    300: [94, 95, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    310: [94, 95, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    320: [94, 95, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    330: [94, 95, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    340: [94, 95, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    350: [94, 95, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    360: [94, 95, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    370: [94, 95, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    380: [94, 95, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    390: [94, 95, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    400: [94, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    410: [94, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    420: [94, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160],
+    430: [94, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    440: [94, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    450: [94, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [94, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [94, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [94, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    490: [94, 179, 180, 181, 182, 183, 184]
+  },
+  20: {
+    0: [94, 95, 98, 99, 100, 101],
+    10: [94, 95, 98, 99, 100, 101],
+    20: [94, 95, 99, 100, 101],
+    30: [94, 95, 99, 100, 101, 102],
+    40: [94, 95, 99, 100, 101, 102],
+    50: [94, 95, 99, 100, 101, 102],
+    60: [94, 95, 100, 101, 102, 103],
+    70: [94, 95, 100, 101, 102, 103],
+    80: [94, 95, 100, 101, 102, 103, 104],
+    90: [94, 95, 101, 102, 103, 104],
+    100: [94, 95, 101, 102, 103, 104, 105],
+    110: [94, 95, 101, 102, 103, 104, 105],
+    120: [94, 95, 102, 103, 104, 105, 106],
+    130: [94, 95, 102, 103, 104, 105, 106],
+    140: [94, 95, 103, 104, 105, 106, 107],
+    150: [94, 95, 103, 104, 105, 106, 107],
+    160: [94, 95, 103, 104, 105, 106, 107, 108],
+    170: [94, 95, 104, 105, 106, 107, 108, 109],
+    180: [94, 95, 104, 105, 106, 107, 108, 109],
+    190: [94, 105, 106, 107, 108, 109, 110],
+    200: [94, 106, 107, 108, 109, 110, 111],
+    210: [94, 106, 107, 108, 109, 110, 111, 112],
+    220: [94, 107, 108, 109, 110, 111, 112, 113],
+    230: [94, 107, 108, 109, 110, 111, 112, 113, 114],
+    240: [94, 108, 109, 110, 111, 112, 113, 114],
+    250: [94, 109, 110, 111, 112, 113, 114, 115, 116],
+    260: [94, 110, 111, 112, 113, 114, 115, 116, 117],
+    270: [94, 111, 112, 113, 114, 115, 116, 117, 118],
+    280: [94, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    290: [94, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    300: [94, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    310: [94, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    320: [94, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    330: [94, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    340: [94, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    350: [94, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    360: [94, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    370: [94, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    380: [94, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    390: [94, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    400: [94, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    410: [94, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154],
+    420: [94, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158],
+    430: [94, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    440: [94, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
+    450: [94, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
+    460: [94, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
+    470: [94, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    480: [94, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184],
+    490: [94, 178, 179, 180, 181, 182, 183, 184],
+    500: [184]
+  },
+  30: {
+    0: [94, 95, 97, 98, 99, 100],
+    10: [94, 95, 97, 98, 99, 100],
+    20: [94, 95, 98, 99, 100],
+    30: [94, 95, 98, 99, 100, 101],
+    40: [94, 95, 98, 99, 100, 101],
+    50: [94, 98, 99, 100, 101],
+    60: [94, 99, 100, 101, 102],
+    70: [94, 99, 100, 101, 102],
+    80: [94, 99, 100, 101, 102],
+    90: [94, 100, 101, 102, 103],
+    100: [94, 100, 101, 102, 103],
+    110: [94, 100, 101, 102, 103, 104],
+    120: [94, 100, 101, 102, 103, 104],
+    130: [94, 101, 102, 103, 104, 105],
+    140: [94, 101, 102, 103, 104, 105],
+    150: [94, 102, 103, 104, 105, 106],
+    160: [94, 102, 103, 104, 105, 106, 107],
+    170: [94, 102, 103, 104, 105, 106, 107],
+    180: [94, 103, 104, 105, 106, 107, 108],
+    190: [94, 103, 104, 105, 106, 107, 108],
+    200: [94, 104, 105, 106, 107, 108, 109],
+    210: [94, 104, 105, 106, 107, 108, 109, 110],
+    220: [94, 105, 106, 107, 108, 109, 110, 111],
+    230: [94, 106, 107, 108, 109, 110, 111, 112],
+    240: [93, 94, 106, 107, 108, 109, 110, 111, 112, 113],
+    250: [93, 94, 107, 108, 109, 110, 111, 112, 113, 114],
+    260: [93, 94, 108, 109, 110, 111, 112, 113, 114, 115],
+    270: [93, 94, 109, 110, 111, 112, 113, 114, 115, 116],
+    280: [93, 94, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    290: [93, 94, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    300: [93, 94, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    310: [93, 94, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    320: [93, 94, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    330: [93, 94, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    340: [93, 94, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    350: [93, 94, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
+    360: [93, 94, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    370: [93, 94, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    380: [93, 94, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    390: [93, 94, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    400: [93, 94, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    410: [93, 94, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    420: [93, 94, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
+    430: [93, 94, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
+    440: [93, 94, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168],
+    450: [93, 94, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [93, 94, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [93, 94, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    480: [93, 94, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    490: [179, 180, 181, 182, 183, 184, 185]
+  },
+  40: {
+    0: [93, 94, 96, 97, 98, 99],
+    10: [93, 94, 97, 98, 99],
+    20: [93, 94, 97, 98, 99],
+    30: [93, 94, 97, 98, 99, 100],
+    40: [93, 94, 97, 98, 99, 100],
+    50: [93, 94, 97, 98, 99, 100],
+    60: [93, 94, 98, 99, 100, 101],
+    70: [93, 94, 98, 99, 100, 101],
+    80: [93, 94, 98, 99, 100, 101],
+    90: [93, 94, 98, 99, 100, 101, 102],
+    100: [93, 94, 99, 100, 101, 102],
+    110: [93, 94, 99, 100, 101, 102, 103],
+    120: [93, 94, 99, 100, 101, 102, 103],
+    130: [93, 94, 99, 100, 101, 102, 103, 104],
+    140: [93, 94, 100, 101, 102, 103, 104],
+    150: [93, 94, 100, 101, 102, 103, 104],
+    160: [93, 94, 100, 101, 102, 103, 104, 105],
+    170: [93, 94, 101, 102, 103, 104, 105, 106],
+    180: [93, 94, 101, 102, 103, 104, 105, 106],
+    190: [93, 94, 102, 103, 104, 105, 106, 107],
+    200: [93, 94, 102, 103, 104, 105, 106, 107],
+    210: [93, 94, 102, 103, 104, 105, 106, 107, 108],
+    220: [93, 94, 103, 104, 105, 106, 107, 108, 109],
+    230: [93, 94, 104, 105, 106, 107, 108, 109, 110],
+    240: [93, 94, 104, 105, 106, 107, 108, 109, 110, 111],
+    250: [93, 94, 105, 106, 107, 108, 109, 110, 111, 112],
+    260: [93, 94, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    270: [93, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    280: [93, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    290: [93, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    300: [93, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    310: [93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    320: [93, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    330: [93, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    340: [93, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    350: [93, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    360: [93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    370: [93, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    380: [93, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
+    390: [93, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141],
+    400: [93, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    410: [93, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150],
+    420: [93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    430: [93, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    440: [93, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [93, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    460: [93, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
+    470: [93, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    480: [93, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
+    490: [93, 178, 179, 180, 181, 182, 183, 184, 185],
+    500: [185]
+  },
+  50: {
+    0: [93, 94, 95, 96, 97, 98],
+    10: [93, 94, 96, 97, 98],
+    20: [93, 94, 96, 97, 98],
+    30: [93, 94, 96, 97, 98, 99],
+    40: [93, 94, 96, 97, 98, 99],
+    50: [93, 94, 96, 97, 98, 99],
+    60: [93, 94, 97, 98, 99, 100],
+    70: [93, 97, 98, 99, 100],
+    80: [93, 97, 98, 99, 100],
+    90: [93, 97, 98, 99, 100, 101],
+    100: [93, 97, 98, 99, 100, 101],
+    110: [93, 98, 99, 100, 101],
+    120: [93, 98, 99, 100, 101, 102],
+    130: [93, 98, 99, 100, 101, 102],
+    140: [93, 98, 99, 100, 101, 102, 103],
+    150: [93, 99, 100, 101, 102, 103],
+    160: [93, 99, 100, 101, 102, 103],
+    170: [93, 99, 100, 101, 102, 103, 104],
+    180: [93, 99, 100, 101, 102, 103, 104, 105],
+    190: [93, 100, 101, 102, 103, 104, 105],
+    200: [93, 100, 101, 102, 103, 104, 105, 106],
+    210: [93, 101, 102, 103, 104, 105, 106, 107],
+    220: [93, 101, 102, 103, 104, 105, 106, 107],
+    230: [93, 102, 103, 104, 105, 106, 107, 108],
+    240: [93, 102, 103, 104, 105, 106, 107, 108, 109],
+    250: [93, 103, 104, 105, 106, 107, 108, 109, 110],
+    260: [93, 103, 104, 105, 106, 107, 108, 109, 110],
+    270: [93, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    280: [93, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    290: [93, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    300: [93, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    310: [93, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    320: [93, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    330: [93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    340: [93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    350: [93, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    360: [93, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
+    370: [93, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    380: [93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    390: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
+    400: [93, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    410: [93, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
+    420: [93, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
+    430: [93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    440: [93, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
+    450: [93, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
+    460: [92, 93, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [92, 93, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [93, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [180, 181, 182, 183, 184, 185, 186, 187, 188]
+  },
+  60: {
+    0: [93, 94, 95, 96, 97],
+    10: [93, 95, 96, 97],
+    20: [92, 93, 95, 96, 97],
+    30: [92, 93, 95, 96, 97, 98],
+    40: [92, 93, 95, 96, 97, 98],
+    50: [92, 93, 95, 96, 97, 98],
+    60: [92, 93, 95, 96, 97, 98],
+    70: [92, 93, 96, 97, 98, 99],
+    80: [92, 93, 96, 97, 98, 99],
+    90: [92, 93, 96, 97, 98, 99],
+    100: [92, 93, 96, 97, 98, 99, 100],
+    110: [92, 93, 96, 97, 98, 99, 100],
+    120: [92, 93, 96, 97, 98, 99, 100],
+    130: [92, 93, 97, 98, 99, 100, 101],
+    140: [92, 93, 97, 98, 99, 100, 101],
+    150: [92, 93, 97, 98, 99, 100, 101, 102],
+    160: [92, 93, 97, 98, 99, 100, 101, 102],
+    170: [92, 93, 98, 99, 100, 101, 102],
+    180: [92, 93, 98, 99, 100, 101, 102, 103],
+    190: [92, 93, 98, 99, 100, 101, 102, 103, 104],
+    200: [92, 93, 99, 100, 101, 102, 103, 104],
+    210: [92, 93, 99, 100, 101, 102, 103, 104, 105],
+    220: [92, 93, 99, 100, 101, 102, 103, 104, 105],
+    230: [92, 93, 100, 101, 102, 103, 104, 105, 106],
+    240: [92, 93, 100, 101, 102, 103, 104, 105, 106, 107],
+    250: [92, 93, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    260: [92, 93, 101, 102, 103, 104, 105, 106, 107, 108],
+    270: [92, 93, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    280: [92, 93, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    290: [92, 93, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    300: [92, 93, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    310: [92, 93, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    320: [92, 93, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    330: [92, 93, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    340: [92, 93, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    350: [92, 93, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    360: [92, 93, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    370: [92, 93, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    380: [92, 93, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    390: [92, 93, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    400: [92, 93, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    410: [92, 93, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    420: [92, 93, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
+    430: [92, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    440: [92, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163],
+    450: [92, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
+    460: [92, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    470: [92, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [92, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    500: [187, 188]
+  },
+  70: {
+    0: [92, 93, 94, 95, 96],
+    10: [92, 93, 94, 95, 96],
+    20: [92, 93, 94, 95, 96],
+    30: [92, 93, 94, 95, 96, 97],
+    40: [92, 93, 94, 95, 96, 97],
+    50: [92, 93, 94, 95, 96, 97],
+    60: [92, 93, 94, 95, 96, 97],
+    70: [92, 93, 94, 95, 96, 97, 98],
+    80: [92, 93, 94, 95, 96, 97, 98],
+    90: [92, 93, 95, 96, 97, 98],
+    100: [92, 93, 95, 96, 97, 98],
+    110: [92, 95, 96, 97, 98, 99],
+    120: [92, 95, 96, 97, 98, 99],
+    130: [92, 95, 96, 97, 98, 99],
+    140: [92, 95, 96, 97, 98, 99, 100],
+    150: [92, 96, 97, 98, 99, 100],
+    160: [92, 96, 97, 98, 99, 100],
+    170: [92, 96, 97, 98, 99, 100, 101],
+    180: [92, 96, 97, 98, 99, 100, 101],
+    190: [92, 96, 97, 98, 99, 100, 101, 102],
+    200: [92, 97, 98, 99, 100, 101, 102],
+    210: [92, 97, 98, 99, 100, 101, 102, 103],
+    220: [92, 97, 98, 99, 100, 101, 102, 103],
+    230: [92, 97, 98, 99, 100, 101, 102, 103, 104],
+    240: [92, 98, 99, 100, 101, 102, 103, 104],
+    250: [92, 98, 99, 100, 101, 102, 103, 104, 105],
+    260: [92, 99, 100, 101, 102, 103, 104, 105, 106],
+    270: [92, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    280: [92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    290: [92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    300: [92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    310: [92, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    320: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    330: [92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    340: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    350: [92, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
+    360: [92, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
+    370: [92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123],
+    380: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    390: [92, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
+    400: [92, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    410: [92, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139],
+    420: [92, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
+    430: [92, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
+    440: [92, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    450: [92, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170],
+    460: [92, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179],
+    470: [92, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    480: [92, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
+    490: [92, 180, 181, 182, 183, 184, 185, 186, 187, 188]
+  },
+  80: {
+    0: [92, 93, 94, 95],
+    10: [92, 93, 94, 95],
+    20: [92, 93, 94, 95],
+    30: [92, 93, 94, 95, 96],
+    40: [92, 93, 94, 95, 96],
+    50: [92, 93, 94, 95, 96],
+    60: [92, 93, 94, 95, 96],
+    70: [91, 92, 93, 94, 95, 96],
+    80: [92, 93, 94, 95, 96, 97],
+    90: [91, 92, 93, 94, 95, 96, 97],
+    100: [91, 92, 93, 94, 95, 96, 97],
+    110: [91, 92, 94, 95, 96, 97],
+    120: [91, 92, 94, 95, 96, 97, 98],
+    130: [91, 92, 94, 95, 96, 97, 98],
+    140: [91, 92, 94, 95, 96, 97, 98],
+    150: [91, 92, 94, 95, 96, 97, 98, 99],
+    160: [91, 92, 94, 95, 96, 97, 98, 99],
+    170: [91, 92, 94, 95, 96, 97, 98, 99],
+    180: [91, 92, 94, 95, 96, 97, 98, 99],
+    190: [91, 92, 95, 96, 97, 98, 99, 100],
+    200: [91, 92, 95, 96, 97, 98, 99, 100],
+    210: [91, 92, 95, 96, 97, 98, 99, 100, 101],
+    220: [91, 92, 95, 96, 97, 98, 99, 100, 101],
+    230: [91, 92, 95, 96, 97, 98, 99, 100, 101, 102],
+    240: [91, 92, 96, 97, 98, 99, 100, 101, 102],
+    250: [91, 92, 96, 97, 98, 99, 100, 101, 102, 103],
+    260: [91, 92, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    270: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104],
+    280: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    290: [91, 92, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    300: [91, 92, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    310: [91, 92, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    320: [91, 92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    330: [91, 92, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111],
+    340: [91, 92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    350: [91, 92, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    360: [91, 92, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
+    370: [91, 92, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    380: [91, 92, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
+    390: [91, 92, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
+    400: [91, 92, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    410: [91, 92, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
+    420: [91, 92, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    430: [91, 92, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
+    440: [91, 92, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
+    450: [91, 92, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
+    460: [91, 92, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    470: [91, 92],
+    480: [91, 92]
+  },
+  90: {
+    0: [91, 92, 93, 94],
+    10: [91, 92, 93, 94],
+    20: [91, 92, 93, 94],
+    30: [91, 92, 93, 94, 95],
+    40: [91, 92, 93, 94, 95],
+    50: [91, 92, 93, 94, 95],
+    60: [91, 92, 93, 94, 95],
+    70: [91, 92, 93, 94, 95],
+    80: [91, 92, 93, 94, 95],
+    90: [91, 92, 93, 94, 95, 96],
+    100: [91, 92, 93, 94, 95, 96],
+    110: [91, 92, 93, 94, 95, 96],
+    120: [91, 92, 93, 94, 95, 96],
+    130: [91, 92, 93, 94, 95, 96],
+    140: [91, 92, 93, 94, 95, 96, 97],
+    150: [91, 92, 93, 94, 95, 96, 97],
+    160: [91, 92, 93, 94, 95, 96, 97],
+    170: [91, 92, 93, 94, 95, 96, 97, 98],
+    180: [91, 92, 93, 94, 95, 96, 97, 98],
+    190: [91, 93, 94, 95, 96, 97, 98],
+    200: [91, 93, 94, 95, 96, 97, 98, 99],
+    210: [91, 93, 94, 95, 96, 97, 98, 99],
+    220: [91, 93, 94, 95, 96, 97, 98, 99],
+    230: [91, 93, 94, 95, 96, 97, 98, 99, 100],
+    240: [91, 93, 94, 95, 96, 97, 98, 99, 100],
+    250: [91, 94, 95, 96, 97, 98, 99, 100, 101],
+    260: [91, 94, 95, 96, 97, 98, 99, 100, 101],
+    270: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    280: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    290: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    300: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    310: [91, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    320: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    330: [91, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    340: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    350: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    360: [91, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    370: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    380: [91, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    390: [91, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    400: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
+    410: [91, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    420: [91, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135],
+    430: [91, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    440: [91, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
+  },
+  100: {
+    0: [91, 92, 93],
+    10: [91, 92, 93],
+    20: [91, 92, 93],
+    30: [91, 92, 93],
+    40: [91, 92, 93, 94],
+    50: [91, 92, 93, 94],
+    60: [91, 92, 93, 94],
+    70: [91, 92, 93, 94],
+    80: [91, 92, 93, 94],
+    90: [91, 92, 93, 94],
+    100: [91, 92, 93, 94, 95],
+    110: [91, 92, 93, 94, 95],
+    120: [91, 92, 93, 94, 95],
+    130: [91, 92, 93, 94, 95],
+    140: [91, 92, 93, 94, 95],
+    150: [91, 92, 93, 94, 95],
+    160: [91, 92, 93, 94, 95, 96],
+    170: [91, 92, 93, 94, 95, 96],
+    180: [91, 92, 93, 94, 95, 96],
+    190: [91, 92, 93, 94, 95, 96],
+    200: [91, 92, 93, 94, 95, 96, 97],
+    210: [91, 92, 93, 94, 95, 96, 97],
+    220: [91, 92, 93, 94, 95, 96, 97],
+    230: [91, 92, 93, 94, 95, 96, 97, 98],
+    240: [91, 92, 93, 94, 95, 96, 97, 98],
+    250: [91, 92, 93, 94, 95, 96, 97, 98],
+    260: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    270: [91, 92, 93, 94, 95, 96, 97, 98, 99],
+    280: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    290: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    300: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    310: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
+    320: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    330: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    340: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    350: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    360: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    370: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
+    380: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
+    390: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
+    400: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    410: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    420: [91, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    430: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91]
+  },
+  110: {
+    0: [90, 91, 92],
+    10: [90, 91, 92],
+    20: [90, 91, 92],
+    30: [90, 91, 92],
+    40: [90, 91, 92, 93],
+    50: [90, 91, 92, 93],
+    60: [90, 91, 92, 93],
+    70: [90, 91, 92, 93],
+    80: [90, 91, 92, 93],
+    90: [89, 90, 91, 92, 93],
+    100: [89, 90, 91, 92, 93],
+    110: [89, 90, 91, 92, 93],
+    120: [89, 90, 91, 92, 93],
+    130: [89, 90, 91, 92, 93, 94],
+    140: [89, 90, 91, 92, 93, 94],
+    150: [89, 90, 91, 92, 93, 94],
+    160: [89, 90, 91, 92, 93, 94],
+    170: [89, 90, 91, 92, 93, 94],
+    180: [89, 90, 91, 92, 93, 94],
+    190: [89, 90, 91, 92, 93, 94, 95],
+    200: [89, 90, 91, 92, 93, 94, 95],
+    210: [89, 90, 91, 92, 93, 94, 95],
+    220: [89, 90, 91, 92, 93, 94, 95],
+    230: [89, 90, 91, 92, 93, 94, 95, 96],
+    240: [89, 90, 91, 92, 93, 94, 95, 96],
+    250: [89, 90, 91, 92, 93, 94, 95, 96],
+    260: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    270: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    280: [89, 90, 91, 92, 93, 94, 95, 96, 97],
+    290: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    300: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    310: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    320: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    330: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    340: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    350: [88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    360: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    370: [87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104],
+    380: [86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    390: [86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
+    400: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    410: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    420: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    430: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91]
+  },
+  120: {
+    0: [89, 90, 91],
+    10: [89, 90, 91],
+    20: [89, 90, 91],
+    30: [89, 90, 91],
+    40: [89, 90, 91],
+    50: [88, 89, 90, 91, 92],
+    60: [88, 89, 90, 91, 92],
+    70: [88, 89, 90, 91, 92],
+    80: [88, 89, 90, 91, 92],
+    90: [88, 89, 90, 91, 92],
+    100: [88, 89, 90, 91, 92],
+    110: [88, 89, 90, 91, 92],
+    120: [88, 89, 90, 91, 92],
+    130: [88, 89, 90, 91, 92],
+    140: [88, 89, 90, 91, 92],
+    150: [88, 89, 90, 91, 92],
+    160: [88, 89, 90, 91, 92],
+    170: [87, 88, 89, 90, 91, 92, 93],
+    180: [87, 88, 89, 90, 91, 92, 93],
+    190: [87, 88, 89, 90, 91, 92, 93],
+    200: [87, 88, 89, 90, 91, 92, 93],
+    210: [87, 88, 89, 90, 91, 92, 93],
+    220: [87, 88, 89, 90, 91, 92, 93],
+    230: [87, 88, 89, 90, 91, 92, 93],
+    240: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    250: [87, 88, 89, 90, 91, 92, 93],
+    260: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    270: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    280: [86, 87, 88, 89, 90, 91, 92, 93, 94],
+    290: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    300: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    310: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    320: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    330: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    340: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    350: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    360: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
+    370: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99],
+    380: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
+    390: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101],
+    400: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
+    410: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
+    420: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    430: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101]
+  },
+  130: {
+    0: [88, 89, 90],
+    10: [88, 89, 90],
+    20: [88, 89, 90],
+    30: [88, 89, 90],
+    40: [87, 88, 89, 90],
+    50: [87, 88, 89, 90],
+    60: [87, 88, 89, 90],
+    70: [87, 88, 89, 90],
+    80: [87, 88, 89, 90],
+    90: [87, 88, 89, 90, 91],
+    100: [87, 88, 89, 90, 91],
+    110: [87, 88, 89, 90, 91],
+    120: [87, 88, 89, 90, 91],
+    130: [86, 87, 88, 89, 90, 91],
+    140: [86, 87, 88, 89, 90, 91],
+    150: [86, 87, 88, 89, 90, 91],
+    160: [86, 87, 88, 89, 90, 91],
+    170: [86, 87, 88, 89, 90, 91],
+    180: [86, 87, 88, 89, 90, 91],
+    190: [85, 86, 87, 88, 89, 90, 91],
+    200: [85, 86, 87, 88, 89, 90, 91],
+    210: [85, 86, 87, 88, 89, 90, 91],
+    220: [85, 86, 87, 88, 89, 90, 91],
+    230: [84, 85, 86, 87, 88, 89, 90, 91],
+    240: [84, 85, 86, 87, 88, 89, 90, 91],
+    250: [84, 85, 86, 87, 88, 89, 90, 91],
+    260: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    270: [83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    280: [83, 84, 85, 86, 87, 88, 89, 90, 91],
+    290: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    300: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    310: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    320: [81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    330: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    340: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    350: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92],
+    360: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    370: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93],
+    380: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94],
+    390: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94],
+    400: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    410: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    420: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97],
+    430: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89]
+  },
+  140: {
+    0: [87, 88, 89],
+    10: [87, 88, 89],
+    20: [87, 88, 89],
+    30: [87, 88, 89],
+    40: [86, 87, 88, 89],
+    50: [86, 87, 88, 89],
+    60: [86, 87, 88, 89],
+    70: [86, 87, 88, 89],
+    80: [86, 87, 88, 89],
+    90: [86, 87, 88, 89],
+    100: [85, 86, 87, 88, 89],
+    110: [85, 86, 87, 88, 89],
+    120: [85, 86, 87, 88, 89],
+    130: [85, 86, 87, 88, 89],
+    140: [85, 86, 87, 88, 89],
+    150: [85, 86, 87, 88, 89],
+    160: [84, 85, 86, 87, 88, 89],
+    170: [84, 85, 86, 87, 88, 89],
+    180: [84, 85, 86, 87, 88, 89],
+    190: [84, 85, 86, 87, 88, 89],
+    200: [83, 84, 85, 86, 87, 88, 89],
+    210: [83, 84, 85, 86, 87, 88, 89],
+    220: [83, 84, 85, 86, 87, 88, 89],
+    230: [82, 83, 84, 85, 86, 87, 88, 89],
+    240: [82, 83, 84, 85, 86, 87, 88, 89],
+    250: [82, 83, 84, 85, 86, 87, 88, 89],
+    260: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    270: [81, 82, 83, 84, 85, 86, 87, 88, 89],
+    280: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    290: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    300: [79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    310: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    320: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    330: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    340: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    350: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    360: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    370: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    380: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    390: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    400: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
+    410: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 89],
+    430: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89]
+  },
+  150: {
+    0: [86, 87, 88, 89],
+    10: [86, 87, 88, 89],
+    20: [86, 87, 88, 89],
+    30: [85, 86, 87, 88, 89],
+    40: [85, 86, 87, 88, 89],
+    50: [85, 86, 87, 88, 89],
+    60: [85, 86, 87, 88, 89],
+    70: [85, 86, 87, 88, 89],
+    80: [85, 86, 87, 88, 89],
+    90: [84, 85, 86, 87, 88, 89],
+    100: [84, 85, 86, 87, 88, 89],
+    110: [84, 85, 86, 87, 88, 89],
+    120: [84, 85, 86, 87, 88, 89],
+    130: [84, 85, 86, 87, 88, 89],
+    140: [83, 84, 85, 86, 87, 88, 89],
+    150: [83, 84, 85, 86, 87, 88, 89],
+    160: [83, 84, 85, 86, 87, 88, 89],
+    170: [82, 83, 84, 85, 86, 87, 88, 89],
+    180: [82, 83, 84, 85, 86, 87, 88, 89],
+    190: [82, 83, 84, 85, 86, 87, 89],
+    200: [81, 82, 83, 84, 85, 86, 87, 89],
+    210: [81, 82, 83, 84, 85, 86, 87, 89],
+    220: [81, 82, 83, 84, 85, 86, 87, 89],
+    230: [80, 81, 82, 83, 84, 85, 86, 87, 89],
+    240: [80, 81, 82, 83, 84, 85, 86, 87, 89],
+    250: [79, 80, 81, 82, 83, 84, 85, 86, 89],
+    260: [79, 80, 81, 82, 83, 84, 85, 86, 89],
+    270: [78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    280: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    290: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    300: [76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    310: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 89],
+    320: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    330: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89],
+    340: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    350: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    360: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 89],
+    370: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    380: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 89],
+    390: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 89],
+    400: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    410: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 89],
+    420: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 89],
+    430: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 89],
+    440: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
+  },
+  160: {
+    0: [85, 86, 87, 88],
+    10: [85, 86, 87, 88],
+    20: [85, 86, 87, 88],
+    30: [84, 85, 86, 87, 88],
+    40: [84, 85, 86, 87, 88],
+    50: [84, 85, 86, 87, 88],
+    60: [84, 85, 86, 87, 88],
+    70: [84, 85, 86, 87, 88, 89],
+    80: [83, 84, 85, 86, 87, 88],
+    90: [83, 84, 85, 86, 87, 88, 89],
+    100: [83, 84, 85, 86, 87, 88, 89],
+    110: [83, 84, 85, 86, 88, 89],
+    120: [82, 83, 84, 85, 86, 88, 89],
+    130: [82, 83, 84, 85, 86, 88, 89],
+    140: [82, 83, 84, 85, 86, 88, 89],
+    150: [81, 82, 83, 84, 85, 86, 88, 89],
+    160: [81, 82, 83, 84, 85, 86, 88, 89],
+    170: [81, 82, 83, 84, 85, 86, 88, 89],
+    180: [81, 82, 83, 84, 85, 86, 88, 89],
+    190: [80, 81, 82, 83, 84, 85, 88, 89],
+    200: [80, 81, 82, 83, 84, 85, 88, 89],
+    210: [79, 80, 81, 82, 83, 84, 85, 88, 89],
+    220: [79, 80, 81, 82, 83, 84, 85, 88, 89],
+    230: [78, 79, 80, 81, 82, 83, 84, 85, 88, 89],
+    240: [78, 79, 80, 81, 82, 83, 84, 88, 89],
+    250: [77, 78, 79, 80, 81, 82, 83, 84, 88, 89],
+    260: [76, 77, 78, 79, 80, 81, 82, 83, 84, 88, 89],
+    270: [76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    280: [75, 76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    290: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 88, 89],
+    300: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 88, 89],
+    310: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 88, 89],
+    320: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88, 89],
+    330: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88, 89],
+    340: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88, 89],
+    350: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88, 89],
+    360: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 88, 89],
+    370: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88, 89],
+    380: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 88, 89],
+    390: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 88, 89],
+    400: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88, 89],
+    410: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 88, 89],
+    420: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 88, 89],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 88, 89],
+    440: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 88, 89],
+    450: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 88, 89],
+    460: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 88, 89],
+    470: [88, 89],
+    480: [88, 89]
+  },
+  170: {
+    0: [84, 85, 86, 87, 88],
+    10: [84, 85, 86, 87, 88],
+    20: [84, 85, 86, 87, 88],
+    30: [83, 84, 85, 86, 87, 88],
+    40: [83, 84, 85, 86, 87, 88],
+    50: [83, 84, 85, 86, 87, 88],
+    60: [83, 84, 85, 86, 87, 88],
+    70: [82, 83, 84, 85, 86, 87, 88],
+    80: [82, 83, 84, 85, 86, 87, 88],
+    90: [82, 83, 84, 85, 87, 88],
+    100: [82, 83, 84, 85, 87, 88],
+    110: [81, 82, 83, 84, 85, 88],
+    120: [81, 82, 83, 84, 85, 88],
+    130: [81, 82, 83, 84, 85, 88],
+    140: [80, 81, 82, 83, 84, 85, 88],
+    150: [80, 81, 82, 83, 84, 88],
+    160: [80, 81, 82, 83, 84, 88],
+    170: [79, 80, 81, 82, 83, 84, 88],
+    180: [79, 80, 81, 82, 83, 84, 88],
+    190: [78, 79, 80, 81, 82, 83, 84, 88],
+    200: [78, 79, 80, 81, 82, 83, 88],
+    210: [77, 78, 79, 80, 81, 82, 83, 88],
+    220: [77, 78, 79, 80, 81, 82, 83, 88],
+    230: [76, 77, 78, 79, 80, 81, 82, 83, 88],
+    240: [76, 77, 78, 79, 80, 81, 82, 88],
+    250: [75, 76, 77, 78, 79, 80, 81, 82, 88],
+    260: [74, 75, 76, 77, 78, 79, 80, 81, 88],
+    270: [73, 74, 75, 76, 77, 78, 79, 80, 81, 88],
+    280: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 88],
+    290: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88],
+    300: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 88],
+    310: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 88],
+    320: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    330: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 88],
+    340: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    350: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 88],
+    360: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 88],
+    370: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 88],
+    380: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    390: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 88],
+    400: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 88],
+    410: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 88],
+    420: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 88],
+    430: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 88],
+    440: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 88],
+    450: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 88],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 88, 352, 353, 354, 355, 356, 357, 358, 359]
+  },
+  180: {
+    0: [83, 84, 85, 86, 87],
+    10: [83, 84, 85, 87],
+    20: [83, 84, 85, 87, 88],
+    30: [82, 83, 84, 85, 87, 88],
+    40: [82, 83, 84, 85, 87, 88],
+    50: [82, 83, 84, 85, 87, 88],
+    60: [82, 83, 84, 85, 87, 88],
+    70: [81, 82, 83, 84, 87, 88],
+    80: [81, 82, 83, 84, 87, 88],
+    90: [81, 82, 83, 84, 87, 88],
+    100: [80, 81, 82, 83, 84, 87, 88],
+    110: [80, 81, 82, 83, 84, 87, 88],
+    120: [80, 81, 82, 83, 84, 87, 88],
+    130: [79, 80, 81, 82, 83, 87, 88],
+    140: [79, 80, 81, 82, 83, 87, 88],
+    150: [78, 79, 80, 81, 82, 83, 87, 88],
+    160: [78, 79, 80, 81, 82, 83, 87, 88],
+    170: [78, 79, 80, 81, 82, 87, 88],
+    180: [77, 78, 79, 80, 81, 82, 87, 88],
+    190: [76, 77, 78, 79, 80, 81, 82, 87, 88],
+    200: [76, 77, 78, 79, 80, 81, 87, 88],
+    210: [75, 76, 77, 78, 79, 80, 81, 87, 88],
+    220: [75, 76, 77, 78, 79, 80, 81, 87, 88],
+    230: [74, 75, 76, 77, 78, 79, 80, 87, 88],
+    240: [73, 74, 75, 76, 77, 78, 79, 80, 87, 88],
+    250: [72, 73, 74, 75, 76, 77, 78, 79, 80, 87, 88],
+    260: [72, 73, 74, 75, 76, 77, 78, 79, 87, 88],
+    270: [71, 72, 73, 74, 75, 76, 77, 78, 79, 87, 88],
+    280: [69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 87, 88],
+    290: [69, 70, 71, 72, 73, 74, 75, 76, 77, 87, 88],
+    300: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 87, 88],
+    310: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 87, 88],
+    320: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 87, 88],
+    330: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 87, 88],
+    340: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 87, 88],
+    350: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 87, 88],
+    360: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87, 88],
+    370: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 87, 88],
+    380: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 87, 88],
+    390: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 87, 88],
+    400: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87, 88],
+    410: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 87, 88],
+    420: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 87, 88],
+    430: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 88],
+    440: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 88],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 88],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 88, 358, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 1, 2, 3, 352, 353, 354, 355, 356, 357, 358, 359],
+    500: [352, 353]
+  },
+  190: {
+    0: [82, 83, 84, 85, 86, 87],
+    10: [82, 83, 84, 86, 87],
+    20: [82, 83, 84, 86, 87],
+    30: [81, 82, 83, 84, 86, 87],
+    40: [81, 82, 83, 84, 86, 87],
+    50: [81, 82, 83, 84, 86, 87],
+    60: [80, 81, 82, 83, 86, 87],
+    70: [80, 81, 82, 83, 87],
+    80: [80, 81, 82, 83, 87],
+    90: [79, 80, 81, 82, 83, 87],
+    100: [79, 80, 81, 82, 83, 87],
+    110: [79, 80, 81, 82, 87],
+    120: [78, 79, 80, 81, 82, 87],
+    130: [78, 79, 80, 81, 82, 87],
+    140: [77, 78, 79, 80, 81, 82, 87],
+    150: [77, 78, 79, 80, 81, 87],
+    160: [77, 78, 79, 80, 81, 87],
+    170: [76, 77, 78, 79, 80, 81, 87],
+    180: [75, 76, 77, 78, 79, 80, 81, 87],
+    190: [75, 76, 77, 78, 79, 80, 87],
+    200: [74, 75, 76, 77, 78, 79, 80, 87],
+    210: [73, 74, 75, 76, 77, 78, 79, 87],
+    220: [73, 74, 75, 76, 77, 78, 79, 87],
+    230: [72, 73, 74, 75, 76, 77, 78, 87],
+    240: [71, 72, 73, 74, 75, 76, 77, 78, 87],
+    250: [70, 71, 72, 73, 74, 75, 76, 77, 87],
+    260: [70, 71, 72, 73, 74, 75, 76, 77, 87],
+    270: [68, 69, 70, 71, 72, 73, 74, 75, 76, 87],
+    280: [67, 68, 69, 70, 71, 72, 73, 74, 75, 87],
+    290: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 87],
+    300: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 87],
+    310: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 87],
+    320: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 87],
+    330: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87],
+    340: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87],
+    350: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 87],
+    360: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 87],
+    370: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 87],
+    380: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87],
+    390: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
+    400: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 87],
+    410: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 87],
+    420: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 87],
+    430: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 87],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 87],
+    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 87],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 87, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 87, 88, 352, 353, 354, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 87, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [0, 352, 353, 354, 355, 356, 357, 358, 359]
+  },
+  200: {
+    0: [81, 82, 83, 84, 86, 87],
+    10: [81, 82, 83, 86, 87],
+    20: [81, 82, 83, 86, 87],
+    30: [80, 81, 82, 83, 86, 87],
+    40: [80, 81, 82, 83, 86, 87],
+    50: [80, 81, 82, 83, 86, 87],
+    60: [79, 80, 81, 82, 86, 87],
+    70: [79, 80, 81, 82, 86, 87],
+    80: [79, 80, 81, 82, 86, 87],
+    90: [78, 79, 80, 81, 82, 86, 87],
+    100: [78, 79, 80, 81, 86, 87],
+    110: [77, 78, 79, 80, 81, 86, 87],
+    120: [77, 78, 79, 80, 81, 86, 87],
+    130: [76, 77, 78, 79, 80, 81, 86, 87],
+    140: [76, 77, 78, 79, 80, 86, 87],
+    150: [76, 77, 78, 79, 80, 86, 87],
+    160: [75, 76, 77, 78, 79, 80, 86, 87],
+    170: [74, 75, 76, 77, 78, 79, 86, 87],
+    180: [74, 75, 76, 77, 78, 79, 86, 87],
+    190: [73, 74, 75, 76, 77, 78, 86, 87],
+    200: [73, 74, 75, 76, 77, 78, 86, 87],
+    210: [72, 73, 74, 75, 76, 77, 78, 86, 87],
+    220: [71, 72, 73, 74, 75, 76, 77, 86, 87],
+    230: [70, 71, 72, 73, 74, 75, 76, 86, 87],
+    240: [69, 70, 71, 72, 73, 74, 75, 76, 86, 87],
+    250: [68, 69, 70, 71, 72, 73, 74, 75, 86, 87],
+    260: [67, 68, 69, 70, 71, 72, 73, 74, 75, 86, 87],
+    270: [66, 67, 68, 69, 70, 71, 72, 73, 74, 87],
+    280: [65, 66, 67, 68, 69, 70, 71, 72, 73, 87],
+    290: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 87],
+    300: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 87],
+    310: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 87],
+    320: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 87],
+    330: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 87],
+    340: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 87],
+    350: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 87],
+    360: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 87],
+    370: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 87],
+    380: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 87],
+    390: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 87],
+    400: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 87],
+    410: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 87],
+    420: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 87],
+    430: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 87],
+    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 87],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 87],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 87, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 87, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 87, 355, 356, 357, 358, 359],
+    490: [0, 1, 2, 87, 355, 356, 357, 358, 359],
+    500: [355]
+  },
+  210: {
+    0: [80, 81, 82, 83, 85, 86],
+    10: [80, 81, 82, 83, 85, 86],
+    20: [80, 81, 82, 85, 86],
+    30: [79, 80, 81, 82, 85, 86],
+    40: [79, 80, 81, 82, 85, 86],
+    50: [79, 80, 81, 82, 86],
+    60: [78, 79, 80, 81, 86],
+    70: [78, 79, 80, 81, 86],
+    80: [78, 79, 80, 81, 86],
+    90: [77, 78, 79, 80, 86],
+    100: [77, 78, 79, 80, 86],
+    110: [76, 77, 78, 79, 80, 86],
+    120: [76, 77, 78, 79, 80, 86],
+    130: [75, 76, 77, 78, 79, 86],
+    140: [75, 76, 77, 78, 79, 86],
+    150: [74, 75, 76, 77, 78, 86],
+    160: [73, 74, 75, 76, 77, 78, 86],
+    170: [73, 74, 75, 76, 77, 78, 86],
+    180: [72, 73, 74, 75, 76, 77, 86],
+    190: [72, 73, 74, 75, 76, 77, 86],
+    200: [71, 72, 73, 74, 75, 76, 86],
+    210: [70, 71, 72, 73, 74, 75, 76, 86],
+    220: [69, 70, 71, 72, 73, 74, 75, 86],
+    230: [68, 69, 70, 71, 72, 73, 74, 86],
+    240: [67, 68, 69, 70, 71, 72, 73, 74, 86, 87],
+    250: [66, 67, 68, 69, 70, 71, 72, 73, 86, 87],
+    260: [65, 66, 67, 68, 69, 70, 71, 72, 86, 87],
+    270: [64, 65, 66, 67, 68, 69, 70, 71, 86, 87],
+    280: [63, 64, 65, 66, 67, 68, 69, 70, 71, 86, 87],
+    290: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 86, 87],
+    300: [60, 61, 62, 63, 64, 65, 66, 67, 68, 86, 87],
+    310: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 86, 87],
+    320: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 86, 87],
+    330: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 86, 87],
+    340: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 86, 87],
+    350: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 86, 87],
+    360: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 86, 87],
+    370: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 86, 87],
+    380: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 86, 87],
+    390: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 86, 87],
+    400: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 86, 87],
+    410: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 86, 87],
+    420: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 86, 87],
+    430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 86, 87],
+    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 86, 87],
+    450: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 86, 87],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 86, 87],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 86, 87, 355, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 86, 87, 355, 356, 357, 358, 359],
+    490: [0, 1, 355, 356, 357, 358, 359]
+  },
+  220: {
+    0: [79, 80, 81, 82, 85, 86],
+    10: [79, 80, 81, 82, 85, 86],
+    20: [79, 80, 81, 85, 86],
+    30: [78, 79, 80, 81, 85, 86],
+    40: [78, 79, 80, 81, 85, 86],
+    50: [78, 79, 80, 81, 85, 86],
+    60: [77, 78, 79, 80, 85, 86],
+    70: [77, 78, 79, 80, 85, 86],
+    80: [76, 77, 78, 79, 80, 85, 86],
+    90: [76, 77, 78, 79, 85, 86],
+    100: [75, 76, 77, 78, 79, 85, 86],
+    110: [75, 76, 77, 78, 79, 85, 86],
+    120: [74, 75, 76, 77, 78, 85, 86],
+    130: [74, 75, 76, 77, 78, 85, 86],
+    140: [73, 74, 75, 76, 77, 85, 86],
+    150: [73, 74, 75, 76, 77, 85, 86],
+    160: [72, 73, 74, 75, 76, 77, 85, 86],
+    170: [71, 72, 73, 74, 75, 76, 85, 86],
+    180: [71, 72, 73, 74, 75, 76, 85, 86],
+    190: [70, 71, 72, 73, 74, 75, 86],
+    200: [69, 70, 71, 72, 73, 74, 86],
+    210: [68, 69, 70, 71, 72, 73, 74, 86],
+    220: [67, 68, 69, 70, 71, 72, 73, 86],
+    230: [66, 67, 68, 69, 70, 71, 72, 73, 86],
+    240: [66, 67, 68, 69, 70, 71, 72, 86],
+    250: [64, 65, 66, 67, 68, 69, 70, 71, 86],
+    260: [63, 64, 65, 66, 67, 68, 69, 70, 86],
+    270: [62, 63, 64, 65, 66, 67, 68, 69, 86],
+    280: [60, 61, 62, 63, 64, 65, 66, 67, 68, 86],
+    290: [59, 60, 61, 62, 63, 64, 65, 66, 67, 86],
+    300: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 86],
+    310: [56, 57, 58, 59, 60, 61, 62, 63, 64, 86],
+    320: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 86],
+    330: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 86],
+    340: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 86],
+    350: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 86],
+    360: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 86],
+    370: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 86],
+    380: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 86],
+    390: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 86],
+    400: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 86],
+    410: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 86],
+    420: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 86],
+    430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 86],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 86],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 86],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 86, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 8, 86, 356, 357, 358, 359],
+    490: [0, 1, 2, 86, 356, 357, 358, 359],
+    500: [356]
+  },
+  230: {
+    0: [79, 80, 81, 84, 85],
+    10: [78, 79, 80, 81, 84, 85],
+    20: [78, 79, 80, 84, 85],
+    30: [77, 78, 79, 80, 84, 85],
+    40: [77, 78, 79, 80, 85],
+    50: [77, 78, 79, 85],
+    60: [76, 77, 78, 79, 85],
+    70: [76, 77, 78, 79, 85],
+    80: [75, 76, 77, 78, 85],
+    90: [75, 76, 77, 78, 85],
+    100: [74, 75, 76, 77, 78, 85],
+    110: [74, 75, 76, 77, 85],
+    120: [73, 74, 75, 76, 77, 85],
+    130: [73, 74, 75, 76, 77, 85],
+    140: [72, 73, 74, 75, 76, 85, 86],
+    150: [71, 72, 73, 74, 75, 76, 85, 86],
+    160: [71, 72, 73, 74, 75, 85, 86],
+    170: [70, 71, 72, 73, 74, 75, 85, 86],
+    180: [69, 70, 71, 72, 73, 74, 85, 86],
+    190: [68, 69, 70, 71, 72, 73, 85, 86],
+    200: [67, 68, 69, 70, 71, 72, 73, 85, 86],
+    210: [67, 68, 69, 70, 71, 72, 85, 86],
+    220: [66, 67, 68, 69, 70, 71, 85, 86],
+    230: [65, 66, 67, 68, 69, 70, 85, 86],
+    240: [64, 65, 66, 67, 68, 69, 70, 85, 86],
+    250: [62, 63, 64, 65, 66, 67, 68, 69, 85, 86],
+    260: [61, 62, 63, 64, 65, 66, 67, 68, 85, 86],
+    270: [60, 61, 62, 63, 64, 65, 66, 67, 85, 86],
+    280: [58, 59, 60, 61, 62, 63, 64, 65, 66, 85, 86],
+    290: [57, 58, 59, 60, 61, 62, 63, 64, 65, 85, 86],
+    300: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 85, 86],
+    310: [54, 55, 56, 57, 58, 59, 60, 61, 62, 85, 86],
+    320: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 85, 86],
+    330: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 85, 86],
+    340: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 85, 86],
+    350: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 85, 86],
+    360: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 85, 86],
+    370: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 85, 86],
+    380: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 85, 86],
+    390: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 85, 86],
+    400: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 86],
+    410: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 86],
+    420: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 86],
+    430: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 86],
+    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 86],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 86],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 86, 356, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 86, 356, 357, 358, 359],
+    490: [0, 1, 86, 356, 357, 358, 359]
+  },
+  240: {
+    0: [78, 79, 80, 84, 85],
+    10: [77, 78, 79, 80, 84, 85],
+    20: [77, 78, 79, 84, 85],
+    30: [76, 77, 78, 79, 84, 85],
+    40: [76, 77, 78, 79, 84, 85],
+    50: [76, 77, 78, 84, 85],
+    60: [75, 76, 77, 78, 84, 85],
+    70: [75, 76, 77, 78, 84, 85],
+    80: [74, 75, 76, 77, 84, 85],
+    90: [74, 75, 76, 77, 84, 85],
+    100: [73, 74, 75, 76, 77, 84, 85],
+    110: [73, 74, 75, 76, 84, 85],
+    120: [72, 73, 74, 75, 76, 84, 85],
+    130: [71, 72, 73, 74, 75, 84, 85],
+    140: [71, 72, 73, 74, 75, 85],
+    150: [70, 71, 72, 73, 74, 85],
+    160: [69, 70, 71, 72, 73, 74, 85],
+    170: [69, 70, 71, 72, 73, 85],
+    180: [68, 69, 70, 71, 72, 85],
+    190: [67, 68, 69, 70, 71, 72, 85],
+    200: [66, 67, 68, 69, 70, 71, 85],
+    210: [65, 66, 67, 68, 69, 70, 71, 85],
+    220: [64, 65, 66, 67, 68, 69, 70, 85],
+    230: [63, 64, 65, 66, 67, 68, 69, 85],
+    240: [62, 63, 64, 65, 66, 67, 68, 85],
+    250: [61, 62, 63, 64, 65, 66, 67, 85],
+    260: [59, 60, 61, 62, 63, 64, 65, 66, 85],
+    270: [58, 59, 60, 61, 62, 63, 64, 65, 85],
+    280: [57, 58, 59, 60, 61, 62, 63, 64, 85],
+    290: [55, 56, 57, 58, 59, 60, 61, 62, 63, 85],
+    300: [54, 55, 56, 57, 58, 59, 60, 61, 85],
+    310: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 85],
+    320: [50, 51, 52, 53, 54, 55, 56, 57, 58, 85],
+    330: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 85],
+    340: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 85],
+    350: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 85],
+    360: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 85],
+    370: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 85],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 85],
+    390: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 85, 86],
+    400: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 85, 86],
+    410: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 85, 86],
+    420: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 85, 86],
+    430: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 85, 86],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 85, 86],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 85, 86],
+    460: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 85, 86],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 85, 86, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 7, 85, 86, 357, 358, 359],
+    490: [0, 1, 2, 85, 357, 358, 359],
+    500: [357]
+  },
+  250: {
+    0: [77, 78, 79, 83, 84],
+    10: [76, 77, 78, 79, 83, 84],
+    20: [76, 77, 78, 79, 83, 84],
+    30: [76, 77, 78, 83, 84],
+    40: [75, 76, 77, 78, 84],
+    50: [75, 76, 77, 84],
+    60: [74, 75, 76, 77, 84],
+    70: [74, 75, 76, 77, 84],
+    80: [73, 74, 75, 76, 84],
+    90: [73, 74, 75, 76, 84],
+    100: [72, 73, 74, 75, 84, 85],
+    110: [71, 72, 73, 74, 75, 84, 85],
+    120: [71, 72, 73, 74, 84, 85],
+    130: [70, 71, 72, 73, 74, 84, 85],
+    140: [69, 70, 71, 72, 73, 84, 85],
+    150: [69, 70, 71, 72, 73, 84, 85],
+    160: [68, 69, 70, 71, 72, 84, 85],
+    170: [67, 68, 69, 70, 71, 72, 84, 85],
+    180: [66, 67, 68, 69, 70, 71, 84, 85],
+    190: [66, 67, 68, 69, 70, 84, 85],
+    200: [64, 65, 66, 67, 68, 69, 70, 84, 85],
+    210: [63, 64, 65, 66, 67, 68, 69, 84, 85],
+    220: [63, 64, 65, 66, 67, 68, 84, 85],
+    230: [61, 62, 63, 64, 65, 66, 67, 84, 85],
+    240: [60, 61, 62, 63, 64, 65, 66, 84, 85],
+    250: [59, 60, 61, 62, 63, 64, 65, 84, 85],
+    260: [58, 59, 60, 61, 62, 63, 64, 84, 85],
+    270: [56, 57, 58, 59, 60, 61, 62, 63, 84, 85],
+    280: [55, 56, 57, 58, 59, 60, 61, 62, 85],
+    290: [53, 54, 55, 56, 57, 58, 59, 60, 85],
+    300: [51, 52, 53, 54, 55, 56, 57, 58, 59, 85],
+    310: [50, 51, 52, 53, 54, 55, 56, 57, 85],
+    320: [48, 49, 50, 51, 52, 53, 54, 55, 56, 85],
+    330: [46, 47, 48, 49, 50, 51, 52, 53, 54, 85],
+    340: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 85],
+    350: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 85],
+    360: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 85],
+    370: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 85],
+    380: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 85],
+    390: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 85],
+    400: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 85],
+    410: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 85],
+    420: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 85],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 85],
+    440: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 85],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 85],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 85, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 85, 357, 358, 359],
+    490: [0, 1, 2, 85, 357, 358, 359],
+    500: [358]
+  },
+  260: {
+    0: [76, 77, 78, 83, 84],
+    10: [76, 77, 78, 83, 84],
+    20: [75, 76, 77, 78, 83, 84],
+    30: [75, 76, 77, 83, 84],
+    40: [74, 75, 76, 77, 83, 84],
+    50: [74, 75, 76, 83, 84],
+    60: [73, 74, 75, 76, 83, 84],
+    70: [73, 74, 75, 76, 83, 84],
+    80: [72, 73, 74, 75, 83, 84],
+    90: [71, 72, 73, 74, 75, 83, 84],
+    100: [71, 72, 73, 74, 83, 84],
+    110: [70, 71, 72, 73, 74, 83, 84],
+    120: [69, 70, 71, 72, 73, 84],
+    130: [69, 70, 71, 72, 73, 84],
+    140: [68, 69, 70, 71, 72, 84],
+    150: [67, 68, 69, 70, 71, 72, 84],
+    160: [67, 68, 69, 70, 71, 84],
+    170: [66, 67, 68, 69, 70, 84],
+    180: [65, 66, 67, 68, 69, 70, 84],
+    190: [64, 65, 66, 67, 68, 69, 84],
+    200: [63, 64, 65, 66, 67, 68, 84],
+    210: [62, 63, 64, 65, 66, 67, 84],
+    220: [61, 62, 63, 64, 65, 66, 84],
+    230: [60, 61, 62, 63, 64, 65, 84],
+    240: [59, 60, 61, 62, 63, 64, 65, 84],
+    250: [57, 58, 59, 60, 61, 62, 63, 64, 84],
+    260: [56, 57, 58, 59, 60, 61, 62, 84, 85],
+    270: [55, 56, 57, 58, 59, 60, 61, 84, 85],
+    280: [53, 54, 55, 56, 57, 58, 59, 60, 84, 85],
+    290: [51, 52, 53, 54, 55, 56, 57, 58, 59, 84, 85],
+    300: [50, 51, 52, 53, 54, 55, 56, 57, 84, 85],
+    310: [48, 49, 50, 51, 52, 53, 54, 55, 56, 84, 85],
+    320: [46, 47, 48, 49, 50, 51, 52, 53, 54, 84, 85],
+    330: [44, 45, 46, 47, 48, 49, 50, 51, 52, 84, 85],
+    340: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 84, 85],
+    350: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 84, 85],
+    360: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 84, 85],
+    370: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 84, 85],
+    380: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 84, 85],
+    390: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 84, 85],
+    400: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 84, 85],
+    410: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 84, 85],
+    420: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 84, 85],
+    430: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 84, 85],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 84, 85],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 84, 85],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 84, 85],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 84, 85, 358, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 84, 85, 358, 359],
+    490: [0, 1, 2, 85, 358, 359],
+    500: [358]
+  },
+  270: {
+    0: [75, 76, 77, 78, 82, 83],
+    10: [75, 76, 77, 82, 83],
+    20: [74, 75, 76, 77, 82, 83],
+    30: [74, 75, 76, 83],
+    40: [73, 74, 75, 76, 83],
+    50: [73, 74, 75, 83],
+    60: [72, 73, 74, 75, 83],
+    70: [72, 73, 74, 75, 83],
+    80: [71, 72, 73, 74, 83, 84],
+    90: [70, 71, 72, 73, 74, 83, 84],
+    100: [70, 71, 72, 73, 83, 84],
+    110: [69, 70, 71, 72, 73, 83, 84],
+    120: [68, 69, 70, 71, 72, 83, 84],
+    130: [68, 69, 70, 71, 83, 84],
+    140: [67, 68, 69, 70, 71, 83, 84],
+    150: [66, 67, 68, 69, 70, 83, 84],
+    160: [65, 66, 67, 68, 69, 83, 84],
+    170: [65, 66, 67, 68, 69, 83, 84],
+    180: [64, 65, 66, 67, 68, 83, 84],
+    190: [63, 64, 65, 66, 67, 83, 84],
+    200: [62, 63, 64, 65, 66, 67, 83, 84],
+    210: [61, 62, 63, 64, 65, 66, 83, 84],
+    220: [59, 60, 61, 62, 63, 64, 65, 84],
+    230: [58, 59, 60, 61, 62, 63, 64, 84],
+    240: [57, 58, 59, 60, 61, 62, 63, 84],
+    250: [56, 57, 58, 59, 60, 61, 62, 84],
+    260: [54, 55, 56, 57, 58, 59, 60, 61, 84],
+    270: [53, 54, 55, 56, 57, 58, 59, 84],
+    280: [52, 53, 54, 55, 56, 57, 58, 84],
+    290: [50, 51, 52, 53, 54, 55, 56, 57, 84],
+    300: [48, 49, 50, 51, 52, 53, 54, 55, 84],
+    310: [46, 47, 48, 49, 50, 51, 52, 53, 54, 84],
+    320: [44, 45, 46, 47, 48, 49, 50, 51, 52, 84],
+    330: [42, 43, 44, 45, 46, 47, 48, 49, 50, 84],
+    340: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 84],
+    350: [38, 39, 40, 41, 42, 43, 44, 45, 46, 84],
+    360: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 84],
+    370: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 84],
+    380: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 84],
+    390: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 84],
+    400: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 84],
+    410: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 84],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 84],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 84],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 84],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 84],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 84, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 84, 358, 359],
+    490: [0, 1, 2, 84, 358, 359]
+  },
+  280: {
+    0: [74, 75, 76, 77, 82, 83],
+    10: [74, 75, 76, 82, 83],
+    20: [73, 74, 75, 76, 82, 83],
+    30: [73, 74, 75, 82, 83],
+    40: [72, 73, 74, 75, 82, 83],
+    50: [72, 73, 74, 75, 82, 83],
+    60: [71, 72, 73, 74, 82, 83],
+    70: [71, 72, 73, 74, 82, 83],
+    80: [70, 71, 72, 73, 82, 83],
+    90: [69, 70, 71, 72, 73, 82, 83],
+    100: [69, 70, 71, 72, 83],
+    110: [68, 69, 70, 71, 83],
+    120: [67, 68, 69, 70, 71, 83],
+    130: [66, 67, 68, 69, 70, 83],
+    140: [66, 67, 68, 69, 70, 83],
+    150: [65, 66, 67, 68, 69, 83],
+    160: [64, 65, 66, 67, 68, 83],
+    170: [63, 64, 65, 66, 67, 68, 83],
+    180: [62, 63, 64, 65, 66, 67, 83],
+    190: [61, 62, 63, 64, 65, 66, 83],
+    200: [60, 61, 62, 63, 64, 65, 83, 84],
+    210: [59, 60, 61, 62, 63, 64, 83, 84],
+    220: [58, 59, 60, 61, 62, 63, 83, 84],
+    230: [57, 58, 59, 60, 61, 62, 83, 84],
+    240: [56, 57, 58, 59, 60, 61, 83, 84],
+    250: [54, 55, 56, 57, 58, 59, 60, 83, 84],
+    260: [53, 54, 55, 56, 57, 58, 59, 83, 84],
+    270: [52, 53, 54, 55, 56, 57, 58, 83, 84],
+    280: [50, 51, 52, 53, 54, 55, 56, 57, 83, 84],
+    290: [48, 49, 50, 51, 52, 53, 54, 55, 83, 84],
+    300: [46, 47, 48, 49, 50, 51, 52, 53, 54, 83, 84],
+    310: [45, 46, 47, 48, 49, 50, 51, 52, 83, 84],
+    320: [43, 44, 45, 46, 47, 48, 49, 50, 83, 84],
+    330: [41, 42, 43, 44, 45, 46, 47, 48, 49, 83, 84],
+    340: [38, 39, 40, 41, 42, 43, 44, 45, 46, 83, 84],
+    350: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 83, 84],
+    360: [34, 35, 36, 37, 38, 39, 40, 41, 42, 83, 84],
+    370: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 83, 84],
+    380: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 84],
+    390: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 84],
+    400: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 84],
+    410: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 84],
+    420: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 84],
+    430: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 84],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 84],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 84],
+    460: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 84, 359],
+    480: [0, 1, 2, 3, 4, 5, 6, 84, 359],
+    490: [0, 1, 2, 84, 359],
+    500: [359]
+  },
+  290: {
+    0: [74, 75, 76, 81, 82],
+    10: [73, 74, 75, 76, 81, 82],
+    20: [73, 74, 75, 81, 82],
+    30: [72, 73, 74, 75, 82],
+    40: [71, 72, 73, 74, 82],
+    50: [71, 72, 73, 74, 82],
+    60: [70, 71, 72, 73, 82, 83],
+    70: [70, 71, 72, 73, 82, 83],
+    80: [69, 70, 71, 72, 82, 83],
+    90: [68, 69, 70, 71, 82, 83],
+    100: [68, 69, 70, 71, 82, 83],
+    110: [67, 68, 69, 70, 82, 83],
+    120: [66, 67, 68, 69, 70, 82, 83],
+    130: [65, 66, 67, 68, 69, 82, 83],
+    140: [65, 66, 67, 68, 82, 83],
+    150: [64, 65, 66, 67, 68, 82, 83],
+    160: [63, 64, 65, 66, 67, 82, 83],
+    170: [62, 63, 64, 65, 66, 82, 83],
+    180: [61, 62, 63, 64, 65, 82, 83],
+    190: [60, 61, 62, 63, 64, 65, 83],
+    200: [59, 60, 61, 62, 63, 64, 83],
+    210: [58, 59, 60, 61, 62, 63, 83],
+    220: [57, 58, 59, 60, 61, 62, 83],
+    230: [56, 57, 58, 59, 60, 61, 83],
+    240: [54, 55, 56, 57, 58, 59, 60, 83],
+    250: [53, 54, 55, 56, 57, 58, 59, 83],
+    260: [52, 53, 54, 55, 56, 57, 83],
+    270: [50, 51, 52, 53, 54, 55, 56, 83],
+    280: [49, 50, 51, 52, 53, 54, 55, 83],
+    290: [47, 48, 49, 50, 51, 52, 53, 54, 83],
+    300: [45, 46, 47, 48, 49, 50, 51, 52, 83],
+    310: [43, 44, 45, 46, 47, 48, 49, 50, 83],
+    320: [41, 42, 43, 44, 45, 46, 47, 48, 49, 83],
+    330: [39, 40, 41, 42, 43, 44, 45, 46, 47, 83],
+    340: [37, 38, 39, 40, 41, 42, 43, 44, 45, 83],
+    350: [35, 36, 37, 38, 39, 40, 41, 42, 43, 83],
+    360: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 83],
+    370: [30, 31, 32, 33, 34, 35, 36, 37, 38, 83],
+    380: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 83, 84],
+    390: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 83, 84],
+    400: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 83, 84],
+    410: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 83, 84],
+    420: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 83, 84],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 83, 84],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 83, 84],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 83, 84],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 83, 84],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 83, 84],
+    480: [0, 1, 2, 3, 4, 5, 6, 83, 84, 359],
+    490: [0, 1, 2, 3, 83, 84, 359]
+  },
+  300: {
+    0: [73, 74, 75, 81, 82],
+    10: [72, 73, 74, 75, 81, 82],
+    20: [72, 73, 74, 81, 82],
+    30: [71, 72, 73, 74, 81, 82],
+    40: [71, 72, 73, 81, 82],
+    50: [70, 71, 72, 73, 81, 82],
+    60: [69, 70, 71, 72, 81, 82],
+    70: [69, 70, 71, 72, 81, 82],
+    80: [68, 69, 70, 71, 81, 82],
+    90: [67, 68, 69, 70, 82],
+    100: [67, 68, 69, 70, 82],
+    110: [66, 67, 68, 69, 82],
+    120: [65, 66, 67, 68, 69, 82],
+    130: [64, 65, 66, 67, 68, 82],
+    140: [64, 65, 66, 67, 82],
+    150: [63, 64, 65, 66, 67, 82],
+    160: [62, 63, 64, 65, 66, 82, 83],
+    170: [61, 62, 63, 64, 65, 82, 83],
+    180: [60, 61, 62, 63, 64, 82, 83],
+    190: [59, 60, 61, 62, 63, 82, 83],
+    200: [58, 59, 60, 61, 62, 82, 83],
+    210: [57, 58, 59, 60, 61, 62, 82, 83],
+    220: [55, 56, 57, 58, 59, 60, 82, 83],
+    230: [54, 55, 56, 57, 58, 59, 60, 82, 83],
+    240: [53, 54, 55, 56, 57, 58, 82, 83],
+    250: [52, 53, 54, 55, 56, 57, 82, 83],
+    260: [50, 51, 52, 53, 54, 55, 56, 82, 83],
+    270: [49, 50, 51, 52, 53, 54, 55, 82, 83],
+    280: [47, 48, 49, 50, 51, 52, 53, 82, 83],
+    290: [45, 46, 47, 48, 49, 50, 51, 52, 82, 83],
+    300: [44, 45, 46, 47, 48, 49, 50, 82, 83],
+    310: [42, 43, 44, 45, 46, 47, 48, 49, 83],
+    320: [40, 41, 42, 43, 44, 45, 46, 47, 83],
+    330: [38, 39, 40, 41, 42, 43, 44, 45, 83],
+    340: [36, 37, 38, 39, 40, 41, 42, 43, 83],
+    350: [34, 35, 36, 37, 38, 39, 40, 41, 83],
+    360: [31, 32, 33, 34, 35, 36, 37, 38, 39, 83],
+    370: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 83],
+    380: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 83],
+    390: [24, 25, 26, 27, 28, 29, 30, 31, 32, 83],
+    400: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 83],
+    410: [17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 83],
+    420: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 83],
+    430: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 83],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 83],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 83],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 83],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 83],
+    480: [0, 1, 2, 3, 4, 5, 6, 83],
+    490: [0, 1, 2, 83],
+    500: [83]
+  },
+  310: {
+    0: [72, 73, 74, 80, 81],
+    10: [72, 73, 74, 80, 81],
+    20: [71, 72, 73, 80, 81],
+    30: [70, 71, 72, 73, 81],
+    40: [70, 71, 72, 81],
+    50: [69, 70, 71, 72, 81],
+    60: [68, 69, 70, 71, 81, 82],
+    70: [68, 69, 70, 71, 81, 82],
+    80: [67, 68, 69, 70, 81, 82],
+    90: [66, 67, 68, 69, 70, 81, 82],
+    100: [66, 67, 68, 69, 81, 82],
+    110: [65, 66, 67, 68, 81, 82],
+    120: [64, 65, 66, 67, 68, 81, 82],
+    130: [63, 64, 65, 66, 67, 81, 82],
+    140: [62, 63, 64, 65, 66, 81, 82],
+    150: [62, 63, 64, 65, 81, 82],
+    160: [61, 62, 63, 64, 65, 82],
+    170: [60, 61, 62, 63, 64, 82],
+    180: [59, 60, 61, 62, 63, 82],
+    190: [58, 59, 60, 61, 62, 82],
+    200: [57, 58, 59, 60, 61, 82],
+    210: [55, 56, 57, 58, 59, 60, 82],
+    220: [54, 55, 56, 57, 58, 59, 82],
+    230: [53, 54, 55, 56, 57, 58, 82],
+    240: [52, 53, 54, 55, 56, 57, 82],
+    250: [50, 51, 52, 53, 54, 55, 56, 82],
+    260: [49, 50, 51, 52, 53, 54, 82],
+    270: [47, 48, 49, 50, 51, 52, 53, 82],
+    280: [46, 47, 48, 49, 50, 51, 52, 82],
+    290: [44, 45, 46, 47, 48, 49, 50, 51, 82, 83],
+    300: [42, 43, 44, 45, 46, 47, 48, 49, 82, 83],
+    310: [41, 42, 43, 44, 45, 46, 47, 82, 83],
+    320: [39, 40, 41, 42, 43, 44, 45, 82, 83],
+    330: [37, 38, 39, 40, 41, 42, 43, 44, 82, 83],
+    340: [35, 36, 37, 38, 39, 40, 41, 42, 82, 83],
+    350: [32, 33, 34, 35, 36, 37, 38, 39, 40, 82, 83],
+    360: [30, 31, 32, 33, 34, 35, 36, 37, 38, 82, 83],
+    370: [28, 29, 30, 31, 32, 33, 34, 35, 36, 82, 83],
+    380: [25, 26, 27, 28, 29, 30, 31, 32, 33, 82, 83],
+    390: [22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 82, 83],
+    400: [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 82, 83],
+    410: [18, 19, 20, 21, 22, 23, 24, 25, 26, 82, 83],
+    420: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 82, 83],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 82, 83],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 82, 83],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 82, 83],
+    460: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 83],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 83],
+    480: [0, 1, 2, 3, 4, 5, 6, 83],
+    490: [0, 1, 2, 3, 83],
+    500: [0, 83]
+  },
+  320: {
+    0: [71, 72, 73, 74, 80, 81],
+    10: [71, 72, 73, 80, 81],
+    20: [70, 71, 72, 73, 80, 81],
+    30: [70, 71, 72, 80, 81],
+    40: [69, 70, 71, 72, 80, 81],
+    50: [68, 69, 70, 71, 80, 81],
+    60: [68, 69, 70, 80, 81],
+    70: [67, 68, 69, 70, 80, 81],
+    80: [66, 67, 68, 69, 81],
+    90: [65, 66, 67, 68, 69, 81],
+    100: [65, 66, 67, 68, 81],
+    110: [64, 65, 66, 67, 81],
+    120: [63, 64, 65, 66, 67, 81],
+    130: [62, 63, 64, 65, 66, 81, 82],
+    140: [61, 62, 63, 64, 65, 81, 82],
+    150: [61, 62, 63, 64, 81, 82],
+    160: [60, 61, 62, 63, 81, 82],
+    170: [59, 60, 61, 62, 63, 81, 82],
+    180: [58, 59, 60, 61, 62, 81, 82],
+    190: [57, 58, 59, 60, 61, 81, 82],
+    200: [55, 56, 57, 58, 59, 60, 81, 82],
+    210: [54, 55, 56, 57, 58, 59, 81, 82],
+    220: [53, 54, 55, 56, 57, 58, 81, 82],
+    230: [52, 53, 54, 55, 56, 57, 81, 82],
+    240: [51, 52, 53, 54, 55, 56, 81, 82],
+    250: [49, 50, 51, 52, 53, 54, 81, 82],
+    260: [48, 49, 50, 51, 52, 53, 82],
+    270: [46, 47, 48, 49, 50, 51, 52, 82],
+    280: [45, 46, 47, 48, 49, 50, 51, 82],
+    290: [43, 44, 45, 46, 47, 48, 49, 82],
+    300: [41, 42, 43, 44, 45, 46, 47, 48, 82],
+    310: [39, 40, 41, 42, 43, 44, 45, 46, 82],
+    320: [38, 39, 40, 41, 42, 43, 44, 82],
+    330: [36, 37, 38, 39, 40, 41, 42, 82],
+    340: [33, 34, 35, 36, 37, 38, 39, 40, 41, 82],
+    350: [31, 32, 33, 34, 35, 36, 37, 38, 39, 82],
+    360: [29, 30, 31, 32, 33, 34, 35, 36, 82],
+    370: [27, 28, 29, 30, 31, 32, 33, 34, 82],
+    380: [24, 25, 26, 27, 28, 29, 30, 31, 32, 82],
+    390: [22, 23, 24, 25, 26, 27, 28, 29, 30, 82],
+    400: [19, 20, 21, 22, 23, 24, 25, 26, 27, 82],
+    410: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 82],
+    420: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 82],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 82],
+    440: [9, 10, 11, 12, 13, 14, 15, 16, 17, 82],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 82],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 82],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 82, 83],
+    480: [0, 1, 2, 3, 4, 5, 82, 83],
+    490: [0, 1, 2, 3, 83],
+    500: [0]
+  },
+  330: {
+    0: [71, 72, 73, 79, 80],
+    10: [70, 71, 72, 79, 80],
+    20: [69, 70, 71, 72, 79, 80],
+    30: [69, 70, 71, 80],
+    40: [68, 69, 70, 71, 80],
+    50: [67, 68, 69, 70, 80, 81],
+    60: [67, 68, 69, 70, 80, 81],
+    70: [66, 67, 68, 69, 80, 81],
+    80: [65, 66, 67, 68, 80, 81],
+    90: [65, 66, 67, 68, 80, 81],
+    100: [64, 65, 66, 67, 80, 81],
+    110: [63, 64, 65, 66, 80, 81],
+    120: [62, 63, 64, 65, 66, 80, 81],
+    130: [61, 62, 63, 64, 65, 80, 81],
+    140: [60, 61, 62, 63, 64, 80, 81],
+    150: [59, 60, 61, 62, 63, 81],
+    160: [59, 60, 61, 62, 81],
+    170: [58, 59, 60, 61, 62, 81],
+    180: [57, 58, 59, 60, 61, 81],
+    190: [55, 56, 57, 58, 59, 60, 81],
+    200: [54, 55, 56, 57, 58, 59, 81],
+    210: [53, 54, 55, 56, 57, 58, 81],
+    220: [52, 53, 54, 55, 56, 57, 81],
+    230: [51, 52, 53, 54, 55, 56, 81],
+    240: [49, 50, 51, 52, 53, 54, 81, 82],
+    250: [48, 49, 50, 51, 52, 53, 81, 82],
+    260: [47, 48, 49, 50, 51, 52, 81, 82],
+    270: [45, 46, 47, 48, 49, 50, 51, 81, 82],
+    280: [43, 44, 45, 46, 47, 48, 49, 81, 82],
+    290: [42, 43, 44, 45, 46, 47, 48, 81, 82],
+    300: [40, 41, 42, 43, 44, 45, 46, 81, 82],
+    310: [38, 39, 40, 41, 42, 43, 44, 45, 81, 82],
+    320: [37, 38, 39, 40, 41, 42, 43, 81, 82],
+    330: [35, 36, 37, 38, 39, 40, 41, 81, 82],
+    340: [33, 34, 35, 36, 37, 38, 39, 81, 82],
+    350: [30, 31, 32, 33, 34, 35, 36, 37, 81, 82],
+    360: [28, 29, 30, 31, 32, 33, 34, 35, 36, 81, 82],
+    370: [26, 27, 28, 29, 30, 31, 32, 33, 81, 82],
+    380: [24, 25, 26, 27, 28, 29, 30, 31, 82],
+    390: [21, 22, 23, 24, 25, 26, 27, 28, 29, 82],
+    400: [19, 20, 21, 22, 23, 24, 25, 26, 27, 82],
+    410: [17, 18, 19, 20, 21, 22, 23, 24, 82],
+    420: [14, 15, 16, 17, 18, 19, 20, 21, 22, 82],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 19, 82],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 82],
+    450: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 82],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 82],
+    470: [1, 2, 3, 4, 5, 6, 7, 8, 9, 82],
+    480: [0, 1, 2, 3, 4, 5, 6, 82],
+    490: [1, 2, 3, 82],
+    500: [1]
+  },
+  340: {
+    0: [70, 71, 72, 78, 79, 80],
+    10: [69, 70, 71, 72, 79, 80],
+    20: [69, 70, 71, 79, 80],
+    30: [68, 69, 70, 71, 79, 80],
+    40: [67, 68, 69, 70, 79, 80],
+    50: [67, 68, 69, 79, 80],
+    60: [66, 67, 68, 69, 79, 80],
+    70: [65, 66, 67, 68, 79, 80],
+    80: [64, 65, 66, 67, 80],
+    90: [64, 65, 66, 67, 80],
+    100: [63, 64, 65, 66, 80],
+    110: [62, 63, 64, 65, 80],
+    120: [61, 62, 63, 64, 65, 80, 81],
+    130: [60, 61, 62, 63, 64, 80, 81],
+    140: [59, 60, 61, 62, 63, 80, 81],
+    150: [59, 60, 61, 62, 80, 81],
+    160: [58, 59, 60, 61, 80, 81],
+    170: [57, 58, 59, 60, 80, 81],
+    180: [56, 57, 58, 59, 60, 80, 81],
+    190: [55, 56, 57, 58, 59, 80, 81],
+    200: [53, 54, 55, 56, 57, 58, 80, 81],
+    210: [52, 53, 54, 55, 56, 57, 80, 81],
+    220: [51, 52, 53, 54, 55, 56, 81],
+    230: [50, 51, 52, 53, 54, 81],
+    240: [48, 49, 50, 51, 52, 53, 81],
+    250: [47, 48, 49, 50, 51, 52, 81],
+    260: [46, 47, 48, 49, 50, 51, 81],
+    270: [44, 45, 46, 47, 48, 49, 81],
+    280: [43, 44, 45, 46, 47, 48, 81],
+    290: [41, 42, 43, 44, 45, 46, 81],
+    300: [39, 40, 41, 42, 43, 44, 45, 81],
+    310: [37, 38, 39, 40, 41, 42, 43, 81],
+    320: [36, 37, 38, 39, 40, 41, 42, 81],
+    330: [34, 35, 36, 37, 38, 39, 40, 81],
+    340: [32, 33, 34, 35, 36, 37, 38, 81],
+    350: [30, 31, 32, 33, 34, 35, 36, 37, 81],
+    360: [28, 29, 30, 31, 32, 33, 34, 81],
+    370: [25, 26, 27, 28, 29, 30, 31, 32, 81, 82],
+    380: [23, 24, 25, 26, 27, 28, 29, 30, 81, 82],
+    390: [21, 22, 23, 24, 25, 26, 27, 28, 81, 82],
+    400: [18, 19, 20, 21, 22, 23, 24, 25, 26, 81, 82],
+    410: [16, 17, 18, 19, 20, 21, 22, 23, 81, 82],
+    420: [13, 14, 15, 16, 17, 18, 19, 20, 21, 81, 82],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 19, 81, 82],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16, 81, 82],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 14, 81, 82],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 81, 82],
+    470: [1, 2, 3, 4, 5, 6, 7, 8, 81, 82],
+    480: [1, 2, 3, 4, 5, 6, 81, 82],
+    490: [1, 2, 3]
+  },
+  350: {
+    0: [69, 70, 71, 72, 78, 79],
+    10: [69, 70, 71, 78, 79],
+    20: [68, 69, 70, 78, 79],
+    30: [67, 68, 69, 70, 78, 79],
+    40: [67, 68, 69, 79],
+    50: [66, 67, 68, 69, 79, 80],
+    60: [65, 66, 67, 68, 79, 80],
+    70: [64, 65, 66, 67, 79, 80],
+    80: [64, 65, 66, 67, 79, 80],
+    90: [63, 64, 65, 66, 79, 80],
+    100: [62, 63, 64, 65, 79, 80],
+    110: [61, 62, 63, 64, 79, 80],
+    120: [60, 61, 62, 63, 64, 79, 80],
+    130: [60, 61, 62, 63, 80],
+    140: [59, 60, 61, 62, 80],
+    150: [58, 59, 60, 61, 80],
+    160: [57, 58, 59, 60, 80],
+    170: [56, 57, 58, 59, 60, 80],
+    180: [55, 56, 57, 58, 59, 80],
+    190: [53, 54, 55, 56, 57, 58, 80],
+    200: [52, 53, 54, 55, 56, 57, 80, 81],
+    210: [51, 52, 53, 54, 55, 56, 80, 81],
+    220: [50, 51, 52, 53, 54, 80, 81],
+    230: [49, 50, 51, 52, 53, 80, 81],
+    240: [47, 48, 49, 50, 51, 52, 80, 81],
+    250: [46, 47, 48, 49, 50, 51, 80, 81],
+    260: [45, 46, 47, 48, 49, 50, 80, 81],
+    270: [43, 44, 45, 46, 47, 48, 80, 81],
+    280: [41, 42, 43, 44, 45, 46, 47, 80, 81],
+    290: [40, 41, 42, 43, 44, 45, 46, 80, 81],
+    300: [38, 39, 40, 41, 42, 43, 44, 80, 81],
+    310: [37, 38, 39, 40, 41, 42, 80, 81],
+    320: [35, 36, 37, 38, 39, 40, 41, 80, 81],
+    330: [33, 34, 35, 36, 37, 38, 39, 81],
+    340: [31, 32, 33, 34, 35, 36, 37, 81],
+    350: [29, 30, 31, 32, 33, 34, 35, 81],
+    360: [27, 28, 29, 30, 31, 32, 33, 34, 81],
+    370: [25, 26, 27, 28, 29, 30, 31, 32, 81],
+    380: [23, 24, 25, 26, 27, 28, 29, 81],
+    390: [20, 21, 22, 23, 24, 25, 26, 27, 81],
+    400: [18, 19, 20, 21, 22, 23, 24, 25, 81],
+    410: [16, 17, 18, 19, 20, 21, 22, 23, 81],
+    420: [13, 14, 15, 16, 17, 18, 19, 20, 21, 81],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 81],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16, 81],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 81],
+    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 81],
+    470: [2, 3, 4, 5, 6, 7, 8, 81],
+    480: [2, 3, 4, 5, 6, 81],
+    490: [2, 3, 4, 81]
+  },
+  360: {
+    0: [69, 70, 71, 77, 78],
+    10: [68, 69, 70, 78, 79],
+    20: [67, 68, 69, 70, 78, 79],
+    30: [67, 68, 69, 78, 79],
+    40: [66, 67, 68, 78, 79],
+    50: [65, 66, 67, 68, 78, 79],
+    60: [64, 65, 66, 67, 78, 79],
+    70: [64, 65, 66, 78, 79],
+    80: [63, 64, 65, 66, 79],
+    90: [62, 63, 64, 65, 79],
+    100: [61, 62, 63, 64, 79, 80],
+    110: [60, 61, 62, 63, 79, 80],
+    120: [60, 61, 62, 63, 79, 80],
+    130: [59, 60, 61, 62, 79, 80],
+    140: [58, 59, 60, 61, 79, 80],
+    150: [57, 58, 59, 60, 79, 80],
+    160: [56, 57, 58, 59, 79, 80],
+    170: [55, 56, 57, 58, 79, 80],
+    180: [54, 55, 56, 57, 58, 79, 80],
+    190: [53, 54, 55, 56, 57, 79, 80],
+    200: [51, 52, 53, 54, 55, 79, 80],
+    210: [50, 51, 52, 53, 54, 55, 80],
+    220: [49, 50, 51, 52, 53, 80],
+    230: [48, 49, 50, 51, 52, 80],
+    240: [47, 48, 49, 50, 51, 80],
+    250: [45, 46, 47, 48, 49, 50, 80],
+    260: [44, 45, 46, 47, 48, 49, 80],
+    270: [42, 43, 44, 45, 46, 47, 80],
+    280: [41, 42, 43, 44, 45, 46, 80],
+    290: [39, 40, 41, 42, 43, 44, 80],
+    300: [38, 39, 40, 41, 42, 43, 80],
+    310: [36, 37, 38, 39, 40, 41, 80],
+    320: [34, 35, 36, 37, 38, 39, 40, 80, 81],
+    330: [32, 33, 34, 35, 36, 37, 38, 80, 81],
+    340: [30, 31, 32, 33, 34, 35, 36, 80, 81],
+    350: [28, 29, 30, 31, 32, 33, 34, 35, 80, 81],
+    360: [26, 27, 28, 29, 30, 31, 32, 33, 80, 81],
+    370: [24, 25, 26, 27, 28, 29, 30, 80, 81],
+    380: [22, 23, 24, 25, 26, 27, 28, 29, 80, 81],
+    390: [20, 21, 22, 23, 24, 25, 26, 27, 80, 81],
+    400: [18, 19, 20, 21, 22, 23, 24, 80, 81],
+    410: [15, 16, 17, 18, 19, 20, 21, 22, 80, 81],
+    420: [13, 14, 15, 16, 17, 18, 19, 20, 80, 81],
+    430: [11, 12, 13, 14, 15, 16, 17, 18, 80, 81],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 16, 80, 81],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 81],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 81],
+    470: [2, 3, 4, 5, 6, 7, 8, 81],
+    480: [2, 3, 4, 5, 6, 81],
+    490: [2, 3, 4, 81]
+  },
+  370: {
+    0: [68, 69, 70, 77, 78],
+    10: [67, 68, 69, 70, 77, 78],
+    20: [67, 68, 69, 77, 78],
+    30: [66, 67, 68, 77, 78],
+    40: [65, 66, 67, 68, 78],
+    50: [64, 65, 66, 67, 78, 79],
+    60: [64, 65, 66, 78, 79],
+    70: [63, 64, 65, 66, 78, 79],
+    80: [62, 63, 64, 65, 78, 79],
+    90: [61, 62, 63, 64, 78, 79],
+    100: [60, 61, 62, 63, 78, 79],
+    110: [60, 61, 62, 63, 78, 79],
+    120: [59, 60, 61, 62, 78, 79],
+    130: [58, 59, 60, 61, 79],
+    140: [57, 58, 59, 60, 79],
+    150: [56, 57, 58, 59, 79],
+    160: [55, 56, 57, 58, 59, 79],
+    170: [54, 55, 56, 57, 58, 79],
+    180: [53, 54, 55, 56, 57, 79, 80],
+    190: [52, 53, 54, 55, 56, 79, 80],
+    200: [51, 52, 53, 54, 55, 79, 80],
+    210: [49, 50, 51, 52, 53, 54, 79, 80],
+    220: [48, 49, 50, 51, 52, 79, 80],
+    230: [47, 48, 49, 50, 51, 79, 80],
+    240: [46, 47, 48, 49, 50, 79, 80],
+    250: [44, 45, 46, 47, 48, 49, 79, 80],
+    260: [43, 44, 45, 46, 47, 79, 80],
+    270: [41, 42, 43, 44, 45, 46, 79, 80],
+    280: [40, 41, 42, 43, 44, 45, 79, 80],
+    290: [38, 39, 40, 41, 42, 43, 44, 80],
+    300: [37, 38, 39, 40, 41, 42, 80],
+    310: [35, 36, 37, 38, 39, 40, 80],
+    320: [33, 34, 35, 36, 37, 38, 39, 80],
+    330: [31, 32, 33, 34, 35, 36, 37, 80],
+    340: [30, 31, 32, 33, 34, 35, 36, 80],
+    350: [28, 29, 30, 31, 32, 33, 34, 80],
+    360: [26, 27, 28, 29, 30, 31, 32, 80],
+    370: [24, 25, 26, 27, 28, 29, 30, 80],
+    380: [22, 23, 24, 25, 26, 27, 28, 80],
+    390: [19, 20, 21, 22, 23, 24, 25, 26, 80],
+    400: [17, 18, 19, 20, 21, 22, 23, 24, 80],
+    410: [15, 16, 17, 18, 19, 20, 21, 22, 80],
+    420: [13, 14, 15, 16, 17, 18, 19, 20, 80],
+    430: [11, 12, 13, 14, 15, 16, 17, 80],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 80, 81],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 80, 81],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 80, 81],
+    470: [2, 3, 4, 5, 6, 7, 8, 80, 81],
+    480: [2, 3, 4, 5, 6, 80, 81],
+    490: [2, 3, 4, 80]
+  },
+  380: {
+    0: [67, 68, 69, 70, 76, 77],
+    10: [67, 68, 69, 76, 77, 78],
+    20: [66, 67, 68, 77, 78],
+    30: [65, 66, 67, 68, 77, 78],
+    40: [65, 66, 67, 77, 78],
+    50: [64, 65, 66, 77, 78],
+    60: [63, 64, 65, 66, 77, 78],
+    70: [62, 63, 64, 65, 77, 78],
+    80: [61, 62, 63, 64, 78],
+    90: [61, 62, 63, 78],
+    100: [60, 61, 62, 63, 78, 79],
+    110: [59, 60, 61, 62, 78, 79],
+    120: [58, 59, 60, 61, 78, 79],
+    130: [57, 58, 59, 60, 78, 79],
+    140: [56, 57, 58, 59, 78, 79],
+    150: [55, 56, 57, 58, 59, 78, 79],
+    160: [54, 55, 56, 57, 58, 78, 79],
+    170: [53, 54, 55, 56, 57, 78, 79],
+    180: [52, 53, 54, 55, 56, 78, 79],
+    190: [51, 52, 53, 54, 55, 79],
+    200: [50, 51, 52, 53, 54, 79],
+    210: [48, 49, 50, 51, 52, 53, 79],
+    220: [47, 48, 49, 50, 51, 52, 79],
+    230: [46, 47, 48, 49, 50, 79],
+    240: [45, 46, 47, 48, 49, 79],
+    250: [43, 44, 45, 46, 47, 48, 79],
+    260: [42, 43, 44, 45, 46, 47, 79],
+    270: [40, 41, 42, 43, 44, 45, 79, 80],
+    280: [39, 40, 41, 42, 43, 44, 79, 80],
+    290: [37, 38, 39, 40, 41, 42, 79, 80],
+    300: [36, 37, 38, 39, 40, 41, 79, 80],
+    310: [34, 35, 36, 37, 38, 39, 79, 80],
+    320: [32, 33, 34, 35, 36, 37, 38, 79, 80],
+    330: [31, 32, 33, 34, 35, 36, 79, 80],
+    340: [29, 30, 31, 32, 33, 34, 79, 80],
+    350: [27, 28, 29, 30, 31, 32, 33, 79, 80],
+    360: [25, 26, 27, 28, 29, 30, 31, 79, 80],
+    370: [23, 24, 25, 26, 27, 28, 29, 79, 80],
+    380: [21, 22, 23, 24, 25, 26, 27, 80],
+    390: [19, 20, 21, 22, 23, 24, 25, 80],
+    400: [17, 18, 19, 20, 21, 22, 23, 80],
+    410: [15, 16, 17, 18, 19, 20, 21, 80],
+    420: [13, 14, 15, 16, 17, 18, 19, 80],
+    430: [10, 11, 12, 13, 14, 15, 16, 17, 80],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 80],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 80],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 80],
+    470: [2, 3, 4, 5, 6, 7, 8, 9, 80],
+    480: [2, 3, 4, 5, 6, 80],
+    490: [2, 3, 4, 80]
+  },
+  390: {
+    0: [67, 68, 69, 76, 77],
+    10: [66, 67, 68, 69, 76, 77],
+    20: [65, 66, 67, 68, 76, 77],
+    30: [65, 66, 67, 76, 77],
+    40: [64, 65, 66, 76, 77],
+    50: [63, 64, 65, 66, 77, 78],
+    60: [62, 63, 64, 65, 77, 78],
+    70: [61, 62, 63, 64, 77, 78],
+    80: [61, 62, 63, 77, 78],
+    90: [60, 61, 62, 63, 77, 78],
+    100: [59, 60, 61, 62, 77, 78],
+    110: [58, 59, 60, 61, 77, 78],
+    120: [57, 58, 59, 60, 78],
+    130: [56, 57, 58, 59, 78],
+    140: [55, 56, 57, 58, 59, 78],
+    150: [54, 55, 56, 57, 58, 78],
+    160: [53, 54, 55, 56, 57, 78, 79],
+    170: [52, 53, 54, 55, 56, 78, 79],
+    180: [51, 52, 53, 54, 55, 78, 79],
+    190: [50, 51, 52, 53, 54, 78, 79],
+    200: [49, 50, 51, 52, 53, 78, 79],
+    210: [48, 49, 50, 51, 52, 78, 79],
+    220: [46, 47, 48, 49, 50, 51, 78, 79],
+    230: [45, 46, 47, 48, 49, 78, 79],
+    240: [44, 45, 46, 47, 48, 78, 79],
+    250: [43, 44, 45, 46, 47, 78, 79],
+    260: [41, 42, 43, 44, 45, 46, 79],
+    270: [40, 41, 42, 43, 44, 79],
+    280: [38, 39, 40, 41, 42, 43, 79],
+    290: [37, 38, 39, 40, 41, 42, 79],
+    300: [35, 36, 37, 38, 39, 40, 79],
+    310: [34, 35, 36, 37, 38, 39, 79],
+    320: [32, 33, 34, 35, 36, 37, 79],
+    330: [30, 31, 32, 33, 34, 35, 79],
+    340: [28, 29, 30, 31, 32, 33, 34, 79],
+    350: [27, 28, 29, 30, 31, 32, 79],
+    360: [25, 26, 27, 28, 29, 30, 79],
+    370: [23, 24, 25, 26, 27, 28, 29, 79],
+    380: [21, 22, 23, 24, 25, 26, 27, 79, 80],
+    390: [19, 20, 21, 22, 23, 24, 25, 79, 80],
+    400: [17, 18, 19, 20, 21, 22, 23, 79, 80],
+    410: [15, 16, 17, 18, 19, 20, 21, 79, 80],
+    420: [13, 14, 15, 16, 17, 18, 19, 79, 80],
+    430: [11, 12, 13, 14, 15, 16, 17, 79, 80],
+    440: [9, 10, 11, 12, 13, 14, 15, 79, 80],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 79, 80],
+    460: [4, 5, 6, 7, 8, 9, 10, 79, 80],
+    470: [3, 4, 5, 6, 7, 8, 79, 80],
+    480: [3, 4, 5, 6, 79, 80],
+    490: [3, 4, 80]
+  },
+  400: {
+    0: [66, 67, 68, 69, 75, 76],
+    10: [66, 67, 68, 75, 76],
+    20: [65, 66, 67, 76, 77],
+    30: [64, 65, 66, 76, 77],
+    40: [63, 64, 65, 66, 76, 77],
+    50: [62, 63, 64, 65, 76, 77],
+    60: [62, 63, 64, 76, 77],
+    70: [61, 62, 63, 64, 76, 77],
+    80: [60, 61, 62, 63, 77],
+    90: [59, 60, 61, 62, 77, 78],
+    100: [58, 59, 60, 61, 77, 78],
+    110: [57, 58, 59, 60, 77, 78],
+    120: [56, 57, 58, 59, 60, 77, 78],
+    130: [56, 57, 58, 59, 77, 78],
+    140: [55, 56, 57, 58, 77, 78],
+    150: [54, 55, 56, 57, 77, 78],
+    160: [53, 54, 55, 56, 77, 78],
+    170: [51, 52, 53, 54, 55, 77, 78],
+    180: [50, 51, 52, 53, 54, 78],
+    190: [49, 50, 51, 52, 53, 78],
+    200: [48, 49, 50, 51, 52, 78],
+    210: [47, 48, 49, 50, 51, 78],
+    220: [46, 47, 48, 49, 50, 78],
+    230: [44, 45, 46, 47, 48, 49, 78],
+    240: [43, 44, 45, 46, 47, 78, 79],
+    250: [42, 43, 44, 45, 46, 78, 79],
+    260: [41, 42, 43, 44, 45, 78, 79],
+    270: [39, 40, 41, 42, 43, 44, 78, 79],
+    280: [38, 39, 40, 41, 42, 78, 79],
+    290: [36, 37, 38, 39, 40, 41, 78, 79],
+    300: [35, 36, 37, 38, 39, 78, 79],
+    310: [33, 34, 35, 36, 37, 38, 78, 79],
+    320: [31, 32, 33, 34, 35, 36, 78, 79],
+    330: [30, 31, 32, 33, 34, 35, 78, 79],
+    340: [28, 29, 30, 31, 32, 33, 79],
+    350: [26, 27, 28, 29, 30, 31, 79],
+    360: [24, 25, 26, 27, 28, 29, 30, 79],
+    370: [22, 23, 24, 25, 26, 27, 28, 79],
+    380: [20, 21, 22, 23, 24, 25, 26, 79],
+    390: [18, 19, 20, 21, 22, 23, 24, 79],
+    400: [17, 18, 19, 20, 21, 22, 23, 79],
+    410: [15, 16, 17, 18, 19, 20, 21, 79],
+    420: [13, 14, 15, 16, 17, 18, 79],
+    430: [10, 11, 12, 13, 14, 15, 16, 79],
+    440: [8, 9, 10, 11, 12, 13, 14, 15, 79],
+    450: [6, 7, 8, 9, 10, 11, 12, 13, 79],
+    460: [4, 5, 6, 7, 8, 9, 10, 11, 79],
+    470: [3, 4, 5, 6, 7, 8, 9, 79],
+    480: [3, 4, 5, 6, 7, 79],
+    490: [3, 4, 79]
+  },
+  410: {
+    0: [66, 67, 68, 74, 75, 76],
+    10: [65, 66, 67, 75, 76],
+    20: [64, 65, 66, 67, 75, 76],
+    30: [63, 64, 65, 66, 75, 76],
+    40: [63, 64, 65, 75, 76],
+    50: [62, 63, 64, 76, 77],
+    60: [61, 62, 63, 64, 76, 77],
+    70: [60, 61, 62, 63, 76, 77],
+    80: [59, 60, 61, 62, 76, 77],
+    90: [58, 59, 60, 61, 76, 77],
+    100: [58, 59, 60, 76, 77],
+    110: [57, 58, 59, 60, 76, 77],
+    120: [56, 57, 58, 59, 77],
+    130: [55, 56, 57, 58, 77],
+    140: [54, 55, 56, 57, 77],
+    150: [53, 54, 55, 56, 77, 78],
+    160: [52, 53, 54, 55, 77, 78],
+    170: [51, 52, 53, 54, 77, 78],
+    180: [50, 51, 52, 53, 77, 78],
+    190: [49, 50, 51, 52, 77, 78],
+    200: [47, 48, 49, 50, 51, 77, 78],
+    210: [46, 47, 48, 49, 50, 77, 78],
+    220: [45, 46, 47, 48, 49, 77, 78],
+    230: [44, 45, 46, 47, 48, 77, 78],
+    240: [42, 43, 44, 45, 46, 47, 78],
+    250: [41, 42, 43, 44, 45, 78],
+    260: [40, 41, 42, 43, 44, 78],
+    270: [39, 40, 41, 42, 43, 78],
+    280: [37, 38, 39, 40, 41, 78],
+    290: [35, 36, 37, 38, 39, 40, 78],
+    300: [34, 35, 36, 37, 38, 39, 78],
+    310: [32, 33, 34, 35, 36, 37, 78],
+    320: [31, 32, 33, 34, 35, 36, 78],
+    330: [29, 30, 31, 32, 33, 34, 78],
+    340: [27, 28, 29, 30, 31, 32, 33, 78, 79],
+    350: [26, 27, 28, 29, 30, 31, 78, 79],
+    360: [24, 25, 26, 27, 28, 29, 78, 79],
+    370: [22, 23, 24, 25, 26, 27, 78, 79],
+    380: [20, 21, 22, 23, 24, 25, 26, 78, 79],
+    390: [18, 19, 20, 21, 22, 23, 24, 78, 79],
+    400: [16, 17, 18, 19, 20, 21, 22, 78, 79],
+    410: [14, 15, 16, 17, 18, 19, 20, 78, 79],
+    420: [12, 13, 14, 15, 16, 17, 18, 78, 79],
+    430: [11, 12, 13, 14, 15, 16, 78, 79],
+    440: [9, 10, 11, 12, 13, 14, 15, 78, 79],
+    450: [7, 8, 9, 10, 11, 12, 13, 79],
+    460: [5, 6, 7, 8, 9, 10, 11, 79],
+    470: [3, 4, 5, 6, 7, 8, 79],
+    480: [3, 4, 5, 6, 79],
+    490: [3, 4, 79]
+  },
+  420: {
+    0: [65, 66, 67, 68, 74, 75],
+    10: [65, 66, 67, 74, 75],
+    20: [64, 65, 66, 74, 75, 76],
+    30: [63, 64, 65, 75, 76],
+    40: [62, 63, 64, 65, 75, 76],
+    50: [61, 62, 63, 64, 75, 76],
+    60: [60, 61, 62, 63, 75, 76],
+    70: [60, 61, 62, 75, 76],
+    80: [59, 60, 61, 76],
+    90: [58, 59, 60, 61, 76, 77],
+    100: [57, 58, 59, 60, 76, 77],
+    110: [56, 57, 58, 59, 76, 77],
+    120: [55, 56, 57, 58, 76, 77],
+    130: [54, 55, 56, 57, 76, 77],
+    140: [53, 54, 55, 56, 76, 77],
+    150: [52, 53, 54, 55, 76, 77],
+    160: [51, 52, 53, 54, 76, 77],
+    170: [50, 51, 52, 53, 77],
+    180: [49, 50, 51, 52, 53, 77],
+    190: [48, 49, 50, 51, 77],
+    200: [47, 48, 49, 50, 77],
+    210: [46, 47, 48, 49, 77, 78],
+    220: [44, 45, 46, 47, 48, 77, 78],
+    230: [43, 44, 45, 46, 47, 77, 78],
+    240: [42, 43, 44, 45, 46, 77, 78],
+    250: [40, 41, 42, 43, 44, 45, 77, 78],
+    260: [39, 40, 41, 42, 43, 77, 78],
+    270: [38, 39, 40, 41, 42, 77, 78],
+    280: [36, 37, 38, 39, 40, 41, 77, 78],
+    290: [35, 36, 37, 38, 39, 77, 78],
+    300: [33, 34, 35, 36, 37, 38, 77, 78],
+    310: [32, 33, 34, 35, 36, 37, 78],
+    320: [30, 31, 32, 33, 34, 35, 78],
+    330: [29, 30, 31, 32, 33, 34, 78],
+    340: [27, 28, 29, 30, 31, 32, 78],
+    350: [25, 26, 27, 28, 29, 30, 78],
+    360: [24, 25, 26, 27, 28, 29, 78],
+    370: [22, 23, 24, 25, 26, 27, 78],
+    380: [20, 21, 22, 23, 24, 25, 78],
+    390: [18, 19, 20, 21, 22, 23, 78],
+    400: [16, 17, 18, 19, 20, 21, 22, 78],
+    410: [15, 16, 17, 18, 19, 20, 78],
+    420: [13, 14, 15, 16, 17, 18, 78],
+    430: [11, 12, 13, 14, 15, 16, 78],
+    440: [9, 10, 11, 12, 13, 14, 78],
+    450: [7, 8, 9, 10, 11, 12, 78, 79],
+    460: [5, 6, 7, 8, 9, 10, 78, 79],
+    470: [4, 5, 6, 7, 8, 9, 78, 79],
+    480: [3, 4, 5, 6, 7, 78, 79],
+    490: [4, 5, 78]
+  },
+  430: {
+    0: [65, 66, 67, 73, 74, 75],
+    10: [64, 65, 66, 67, 73, 74, 75],
+    20: [63, 64, 65, 66, 74, 75],
+    30: [62, 63, 64, 65, 74, 75],
+    40: [62, 63, 64, 74, 75],
+    50: [61, 62, 63, 74, 75, 76],
+    60: [60, 61, 62, 75, 76],
+    70: [59, 60, 61, 62, 75, 76],
+    80: [58, 59, 60, 61, 75, 76],
+    90: [57, 58, 59, 60, 75, 76],
+    100: [56, 57, 58, 59, 75, 76],
+    110: [55, 56, 57, 58, 75, 76],
+    120: [54, 55, 56, 57, 76],
+    130: [54, 55, 56, 57, 76],
+    140: [53, 54, 55, 56, 76, 77],
+    150: [52, 53, 54, 55, 76, 77],
+    160: [50, 51, 52, 53, 54, 76, 77],
+    170: [49, 50, 51, 52, 53, 76, 77],
+    180: [48, 49, 50, 51, 52, 76, 77],
+    190: [47, 48, 49, 50, 51, 76, 77],
+    200: [46, 47, 48, 49, 50, 76, 77],
+    210: [45, 46, 47, 48, 49, 76, 77],
+    220: [44, 45, 46, 47, 48, 77],
+    230: [43, 44, 45, 46, 77],
+    240: [41, 42, 43, 44, 45, 77],
+    250: [40, 41, 42, 43, 44, 77],
+    260: [39, 40, 41, 42, 43, 77],
+    270: [37, 38, 39, 40, 41, 77],
+    280: [36, 37, 38, 39, 40, 77],
+    290: [34, 35, 36, 37, 38, 39, 77],
+    300: [33, 34, 35, 36, 37, 77, 78],
+    310: [31, 32, 33, 34, 35, 36, 77, 78],
+    320: [30, 31, 32, 33, 34, 77, 78],
+    330: [28, 29, 30, 31, 32, 33, 77, 78],
+    340: [26, 27, 28, 29, 30, 31, 77, 78],
+    350: [25, 26, 27, 28, 29, 30, 77, 78],
+    360: [23, 24, 25, 26, 27, 28, 77, 78],
+    370: [21, 22, 23, 24, 25, 26, 77, 78],
+    380: [20, 21, 22, 23, 24, 25, 77, 78],
+    390: [18, 19, 20, 21, 22, 23, 77, 78],
+    400: [16, 17, 18, 19, 20, 21, 78],
+    410: [14, 15, 16, 17, 18, 19, 20, 78],
+    420: [12, 13, 14, 15, 16, 17, 18, 78],
+    430: [11, 12, 13, 14, 15, 16, 78],
+    440: [9, 10, 11, 12, 13, 14, 78],
+    450: [7, 8, 9, 10, 11, 12, 78],
+    460: [5, 6, 7, 8, 9, 10, 11, 78],
+    470: [4, 5, 6, 7, 8, 9, 78],
+    480: [4, 5, 6, 7, 78],
+    490: [4, 5, 78]
+  },
+  440: {
+    0: [64, 65, 66, 67, 72, 73, 74],
+    10: [64, 65, 66, 73, 74],
+    20: [63, 64, 65, 73, 74],
+    30: [62, 63, 64, 73, 74, 75],
+    40: [61, 62, 63, 64, 74, 75],
+    50: [60, 61, 62, 63, 74, 75],
+    60: [59, 60, 61, 62, 74, 75],
+    70: [58, 59, 60, 61, 74, 75],
+    80: [58, 59, 60, 74, 75],
+    90: [57, 58, 59, 75, 76],
+    100: [56, 57, 58, 59, 75, 76],
+    110: [55, 56, 57, 58, 75, 76],
+    120: [54, 55, 56, 57, 75, 76],
+    130: [53, 54, 55, 56, 75, 76],
+    140: [52, 53, 54, 55, 75, 76],
+    150: [51, 52, 53, 54, 75, 76],
+    160: [50, 51, 52, 53, 76],
+    170: [49, 50, 51, 52, 76],
+    180: [48, 49, 50, 51, 76],
+    190: [47, 48, 49, 50, 76],
+    200: [45, 46, 47, 48, 49, 76, 77],
+    210: [44, 45, 46, 47, 48, 76, 77],
+    220: [43, 44, 45, 46, 47, 76, 77],
+    230: [42, 43, 44, 45, 46, 76, 77],
+    240: [41, 42, 43, 44, 76, 77],
+    250: [39, 40, 41, 42, 43, 76, 77],
+    260: [38, 39, 40, 41, 42, 76, 77],
+    270: [37, 38, 39, 40, 41, 76, 77],
+    280: [35, 36, 37, 38, 39, 76, 77],
+    290: [34, 35, 36, 37, 38, 77],
+    300: [32, 33, 34, 35, 36, 37, 77],
+    310: [31, 32, 33, 34, 35, 77],
+    320: [29, 30, 31, 32, 33, 34, 77],
+    330: [28, 29, 30, 31, 32, 77],
+    340: [26, 27, 28, 29, 30, 31, 77],
+    350: [25, 26, 27, 28, 29, 77],
+    360: [23, 24, 25, 26, 27, 28, 77],
+    370: [21, 22, 23, 24, 25, 26, 77],
+    380: [20, 21, 22, 23, 24, 25, 77],
+    390: [18, 19, 20, 21, 22, 23, 77, 78],
+    400: [16, 17, 18, 19, 20, 21, 77, 78],
+    410: [14, 15, 16, 17, 18, 19, 77, 78],
+    420: [13, 14, 15, 16, 17, 18, 77, 78],
+    430: [11, 12, 13, 14, 15, 16, 77, 78],
+    440: [9, 10, 11, 12, 13, 14, 77, 78],
+    450: [7, 8, 9, 10, 11, 12, 77, 78],
+    460: [5, 6, 7, 8, 9, 10, 77, 78],
+    470: [4, 5, 6, 7, 8, 9, 77, 78],
+    480: [4, 5, 6, 7, 77, 78],
+    490: [4, 5, 78]
+  },
+  450: {
+    0: [64, 65, 66, 67, 72, 73],
+    10: [63, 64, 65, 66, 72, 73, 74],
+    20: [62, 63, 64, 65, 72, 73, 74],
+    30: [61, 62, 63, 64, 73, 74],
+    40: [61, 62, 63, 73, 74],
+    50: [60, 61, 62, 73, 74],
+    60: [59, 60, 61, 74, 75],
+    70: [58, 59, 60, 74, 75],
+    80: [57, 58, 59, 60, 74, 75],
+    90: [56, 57, 58, 59, 74, 75],
+    100: [55, 56, 57, 58, 74, 75],
+    110: [54, 55, 56, 57, 74, 75],
+    120: [53, 54, 55, 56, 75],
+    130: [52, 53, 54, 55, 75],
+    140: [51, 52, 53, 54, 75, 76],
+    150: [50, 51, 52, 53, 75, 76],
+    160: [49, 50, 51, 52, 75, 76],
+    170: [48, 49, 50, 51, 75, 76],
+    180: [47, 48, 49, 50, 75, 76],
+    190: [46, 47, 48, 49, 75, 76],
+    200: [45, 46, 47, 48, 75, 76],
+    210: [44, 45, 46, 47, 76],
+    220: [43, 44, 45, 46, 76],
+    230: [41, 42, 43, 44, 45, 76],
+    240: [40, 41, 42, 43, 44, 76],
+    250: [39, 40, 41, 42, 43, 76],
+    260: [37, 38, 39, 40, 41, 76],
+    270: [36, 37, 38, 39, 40, 76, 77],
+    280: [35, 36, 37, 38, 39, 76, 77],
+    290: [33, 34, 35, 36, 37, 76, 77],
+    300: [32, 33, 34, 35, 36, 76, 77],
+    310: [30, 31, 32, 33, 34, 35, 76, 77],
+    320: [29, 30, 31, 32, 33, 76, 77],
+    330: [28, 29, 30, 31, 32, 76, 77],
+    340: [26, 27, 28, 29, 30, 76, 77],
+    350: [24, 25, 26, 27, 28, 29, 76, 77],
+    360: [23, 24, 25, 26, 27, 76, 77],
+    370: [21, 22, 23, 24, 25, 26, 77],
+    380: [19, 20, 21, 22, 23, 24, 77],
+    390: [18, 19, 20, 21, 22, 23, 77],
+    400: [16, 17, 18, 19, 20, 21, 77],
+    410: [14, 15, 16, 17, 18, 19, 77],
+    420: [12, 13, 14, 15, 16, 17, 18, 77],
+    430: [11, 12, 13, 14, 15, 16, 77],
+    440: [9, 10, 11, 12, 13, 14, 77],
+    450: [7, 8, 9, 10, 11, 12, 77],
+    460: [6, 7, 8, 9, 10, 11, 77],
+    470: [4, 5, 6, 7, 8, 9, 77],
+    480: [4, 5, 6, 7, 77],
+    490: [4, 5],
+    500: [4]
+  },
+  460: {
+    0: [64, 65, 66, 71, 72, 73],
+    10: [63, 64, 65, 66, 71, 72, 73],
+    20: [62, 63, 64, 72, 73],
+    30: [61, 62, 63, 64, 72, 73, 74],
+    40: [60, 61, 62, 63, 72, 73, 74],
+    50: [59, 60, 61, 62, 73, 74],
+    60: [58, 59, 60, 61, 73, 74],
+    70: [57, 58, 59, 60, 73, 74],
+    80: [57, 58, 59, 73, 74],
+    90: [56, 57, 58, 74, 75],
+    100: [55, 56, 57, 74, 75],
+    110: [54, 55, 56, 74, 75],
+    120: [53, 54, 55, 56, 74, 75],
+    130: [52, 53, 54, 55, 74, 75],
+    140: [51, 52, 53, 54, 74, 75],
+    150: [50, 51, 52, 53, 74, 75],
+    160: [49, 50, 51, 52, 75],
+    170: [48, 49, 50, 51, 75],
+    180: [47, 48, 49, 50, 75],
+    190: [45, 46, 47, 48, 49, 75, 76],
+    200: [44, 45, 46, 47, 48, 75, 76],
+    210: [43, 44, 45, 46, 47, 75, 76],
+    220: [42, 43, 44, 45, 46, 75, 76],
+    230: [41, 42, 43, 44, 75, 76],
+    240: [40, 41, 42, 43, 75, 76],
+    250: [38, 39, 40, 41, 42, 75, 76],
+    260: [37, 38, 39, 40, 41, 75, 76],
+    270: [36, 37, 38, 39, 40, 76],
+    280: [34, 35, 36, 37, 38, 76],
+    290: [33, 34, 35, 36, 37, 76],
+    300: [31, 32, 33, 34, 35, 36, 76],
+    310: [30, 31, 32, 33, 34, 76],
+    320: [29, 30, 31, 32, 33, 76],
+    330: [27, 28, 29, 30, 31, 76],
+    340: [26, 27, 28, 29, 30, 76],
+    350: [24, 25, 26, 27, 28, 29, 76, 77],
+    360: [22, 23, 24, 25, 26, 27, 76, 77],
+    370: [21, 22, 23, 24, 25, 76, 77],
+    380: [19, 20, 21, 22, 23, 24, 76, 77],
+    390: [18, 19, 20, 21, 22, 76, 77],
+    400: [16, 17, 18, 19, 20, 21, 76, 77],
+    410: [14, 15, 16, 17, 18, 19, 76, 77],
+    420: [13, 14, 15, 16, 17, 76, 77],
+    430: [11, 12, 13, 14, 15, 16, 76, 77],
+    440: [9, 10, 11, 12, 13, 14, 76, 77],
+    450: [8, 9, 10, 11, 12, 76, 77],
+    460: [6, 7, 8, 9, 10, 11, 77],
+    470: [4, 5, 6, 7, 8, 9, 77],
+    480: [4, 5, 6, 7, 77],
+    490: [4, 5],
+    500: [4]
+  },
+  470: {
+    0: [63, 64, 65, 66, 70, 71, 72],
+    10: [62, 63, 64, 65, 70, 71, 72],
+    20: [61, 62, 63, 64, 71, 72, 73],
+    30: [61, 62, 63, 71, 72, 73],
+    40: [60, 61, 62, 72, 73],
+    50: [59, 60, 61, 72, 73],
+    60: [58, 59, 60, 72, 73, 74],
+    70: [57, 58, 59, 60, 73, 74],
+    80: [56, 57, 58, 59, 73, 74],
+    90: [55, 56, 57, 58, 73, 74],
+    100: [54, 55, 56, 57, 73, 74],
+    110: [53, 54, 55, 56, 73, 74],
+    120: [52, 53, 54, 55, 74],
+    130: [51, 52, 53, 54, 74, 75],
+    140: [50, 51, 52, 53, 74, 75],
+    150: [49, 50, 51, 52, 74, 75],
+    160: [48, 49, 50, 51, 74, 75],
+    170: [47, 48, 49, 50, 74, 75],
+    180: [46, 47, 48, 49, 74, 75],
+    190: [45, 46, 47, 48, 74, 75],
+    200: [44, 45, 46, 47, 74, 75],
+    210: [43, 44, 45, 46, 75],
+    220: [42, 43, 44, 45, 75],
+    230: [40, 41, 42, 43, 44, 75],
+    240: [39, 40, 41, 42, 43, 75],
+    250: [38, 39, 40, 41, 42, 75, 76],
+    260: [37, 38, 39, 40, 75, 76],
+    270: [35, 36, 37, 38, 39, 75, 76],
+    280: [34, 35, 36, 37, 38, 75, 76],
+    290: [32, 33, 34, 35, 36, 37, 75, 76],
+    300: [31, 32, 33, 34, 35, 75, 76],
+    310: [30, 31, 32, 33, 34, 75, 76],
+    320: [28, 29, 30, 31, 32, 75, 76],
+    330: [27, 28, 29, 30, 31, 75, 76],
+    340: [25, 26, 27, 28, 29, 30, 76],
+    350: [24, 25, 26, 27, 28, 76],
+    360: [22, 23, 24, 25, 26, 27, 76],
+    370: [21, 22, 23, 24, 25, 76],
+    380: [19, 20, 21, 22, 23, 24, 76],
+    390: [17, 18, 19, 20, 21, 22, 76],
+    400: [16, 17, 18, 19, 20, 76],
+    410: [14, 15, 16, 17, 18, 19, 76],
+    420: [13, 14, 15, 16, 17, 76],
+    430: [11, 12, 13, 14, 15, 16, 76],
+    440: [9, 10, 11, 12, 13, 14, 76],
+    450: [8, 9, 10, 11, 12, 76, 77],
+    460: [6, 7, 8, 9, 10, 11, 76, 77],
+    470: [5, 6, 7, 8, 9, 76, 77],
+    480: [4, 5, 6, 7, 76, 77],
+    490: [4, 5, 6, 76]
+  },
+  480: {
+    0: [63, 64, 65, 70, 71],
+    10: [62, 63, 64, 65, 70, 71, 72],
+    20: [61, 62, 63, 64, 70, 71, 72],
+    30: [60, 61, 62, 63, 71, 72],
+    40: [59, 60, 61, 62, 71, 72, 73],
+    50: [58, 59, 60, 61, 72, 73],
+    60: [57, 58, 59, 60, 72, 73],
+    70: [56, 57, 58, 59, 72, 73],
+    80: [56, 57, 58, 72, 73],
+    90: [55, 56, 57, 72, 73, 74],
+    100: [54, 55, 56, 73, 74],
+    110: [53, 54, 55, 73, 74],
+    120: [52, 53, 54, 55, 73, 74],
+    130: [51, 52, 53, 54, 73, 74],
+    140: [50, 51, 52, 53, 73, 74],
+    150: [49, 50, 51, 52, 73, 74],
+    160: [48, 49, 50, 51, 74],
+    170: [47, 48, 49, 50, 74],
+    180: [46, 47, 48, 49, 74, 75],
+    190: [44, 45, 46, 47, 48, 74, 75],
+    200: [43, 44, 45, 46, 47, 74, 75],
+    210: [42, 43, 44, 45, 46, 74, 75],
+    220: [41, 42, 43, 44, 74, 75],
+    230: [40, 41, 42, 43, 74, 75],
+    240: [39, 40, 41, 42, 74, 75],
+    250: [37, 38, 39, 40, 41, 74, 75],
+    260: [36, 37, 38, 39, 40, 75],
+    270: [35, 36, 37, 38, 39, 75],
+    280: [33, 34, 35, 36, 37, 75],
+    290: [32, 33, 34, 35, 36, 75],
+    300: [31, 32, 33, 34, 35, 75],
+    310: [29, 30, 31, 32, 33, 75],
+    320: [28, 29, 30, 31, 32, 75, 76],
+    330: [27, 28, 29, 30, 31, 75, 76],
+    340: [25, 26, 27, 28, 29, 75, 76],
+    350: [24, 25, 26, 27, 28, 75, 76],
+    360: [22, 23, 24, 25, 26, 75, 76],
+    370: [20, 21, 22, 23, 24, 25, 75, 76],
+    380: [19, 20, 21, 22, 23, 75, 76],
+    390: [18, 19, 20, 21, 22, 75, 76],
+    400: [16, 17, 18, 19, 20, 75, 76],
+    410: [14, 15, 16, 17, 18, 19, 75, 76],
+    420: [13, 14, 15, 16, 17, 76],
+    430: [11, 12, 13, 14, 15, 16, 76],
+    440: [9, 10, 11, 12, 13, 14, 76],
+    450: [8, 9, 10, 11, 12, 13, 76],
+    460: [6, 7, 8, 9, 10, 11, 76],
+    470: [5, 6, 7, 8, 9, 76],
+    480: [5, 6, 7, 8, 76],
+    490: [5, 6, 76]
+  },
+  490: {
+    0: [63, 64, 65, 69, 70, 71],
+    10: [62, 63, 64, 65, 69, 70, 71],
+    20: [61, 62, 63, 64, 69, 70, 71],
+    30: [60, 61, 62, 63, 70, 71, 72],
+    40: [59, 60, 61, 62, 70, 71, 72],
+    50: [58, 59, 60, 61, 71, 72],
+    60: [57, 58, 59, 60, 71, 72],
+    70: [56, 57, 58, 59, 71, 72, 73],
+    80: [55, 56, 57, 58, 72, 73],
+    90: [54, 55, 56, 57, 72, 73],
+    100: [53, 54, 55, 56, 72, 73],
+    110: [52, 53, 54, 55, 72, 73],
+    120: [51, 52, 53, 54, 72, 73],
+    130: [50, 51, 52, 53, 73, 74],
+    140: [49, 50, 51, 52, 73, 74],
+    150: [48, 49, 50, 51, 73, 74],
+    160: [47, 48, 49, 50, 73, 74],
+    170: [46, 47, 48, 49, 73, 74],
+    180: [45, 46, 47, 48, 73, 74],
+    190: [44, 45, 46, 47, 73, 74],
+    200: [43, 44, 45, 46, 74],
+    210: [42, 43, 44, 45, 74],
+    220: [41, 42, 43, 44, 74],
+    230: [39, 40, 41, 42, 43, 74],
+    240: [38, 39, 40, 41, 42, 74, 75],
+    250: [37, 38, 39, 40, 41, 74, 75],
+    260: [36, 37, 38, 39, 74, 75],
+    270: [34, 35, 36, 37, 38, 74, 75],
+    280: [33, 34, 35, 36, 37, 74, 75],
+    290: [32, 33, 34, 35, 36, 74, 75],
+    300: [30, 31, 32, 33, 34, 74, 75],
+    310: [29, 30, 31, 32, 33, 74, 75],
+    320: [28, 29, 30, 31, 32, 75],
+    330: [26, 27, 28, 29, 30, 75],
+    340: [25, 26, 27, 28, 29, 75],
+    350: [23, 24, 25, 26, 27, 28, 75],
+    360: [22, 23, 24, 25, 26, 75],
+    370: [20, 21, 22, 23, 24, 25, 75],
+    380: [19, 20, 21, 22, 23, 75],
+    390: [17, 18, 19, 20, 21, 22, 75],
+    400: [16, 17, 18, 19, 20, 75, 76],
+    410: [14, 15, 16, 17, 18, 19, 75, 76],
+    420: [13, 14, 15, 16, 17, 75, 76],
+    430: [11, 12, 13, 14, 15, 16, 75, 76],
+    440: [10, 11, 12, 13, 14, 75, 76],
+    450: [8, 9, 10, 11, 12, 13, 75, 76],
+    460: [6, 7, 8, 9, 10, 11, 75, 76],
+    470: [5, 6, 7, 8, 9, 75, 76],
+    480: [5, 6, 7, 8, 75, 76],
+    490: [5, 6, 75, 76],
+    500: [5]
+  },
+  500: {
+    0: [63, 64, 68, 69, 70],
+    10: [62, 63, 64, 68, 69, 70],
+    20: [61, 62, 63, 64, 68, 69, 70, 71],
+    30: [59, 60, 61, 62, 69, 70, 71],
+    40: [59, 60, 61, 70, 71],
+    50: [58, 59, 60, 70, 71, 72],
+    60: [57, 58, 59, 71, 72],
+    70: [56, 57, 58, 71, 72],
+    80: [55, 56, 57, 71, 72],
+    90: [54, 55, 56, 71, 72],
+    100: [53, 54, 55, 56, 72, 73],
+    110: [52, 53, 54, 55, 72, 73],
+    120: [51, 52, 53, 54, 72, 73],
+    130: [50, 51, 52, 53, 72, 73],
+    140: [49, 50, 51, 52, 72, 73],
+    150: [48, 49, 50, 51, 72, 73],
+    160: [47, 48, 49, 50, 73],
+    170: [46, 47, 48, 49, 73],
+    180: [45, 46, 47, 48, 73, 74],
+    190: [44, 45, 46, 47, 73, 74],
+    200: [43, 44, 45, 46, 73, 74],
+    210: [41, 42, 43, 44, 45, 73, 74],
+    220: [40, 41, 42, 43, 73, 74],
+    230: [39, 40, 41, 42, 73, 74],
+    240: [38, 39, 40, 41, 73, 74],
+    250: [37, 38, 39, 40, 74],
+    260: [35, 36, 37, 38, 39, 74],
+    270: [34, 35, 36, 37, 38, 74],
+    280: [33, 34, 35, 36, 74],
+    290: [32, 33, 34, 35, 74],
+    300: [30, 31, 32, 33, 34, 74, 75],
+    310: [29, 30, 31, 32, 33, 74, 75],
+    320: [27, 28, 29, 30, 31, 74, 75],
+    330: [26, 27, 28, 29, 30, 74, 75],
+    340: [25, 26, 27, 28, 29, 74, 75],
+    350: [23, 24, 25, 26, 27, 74, 75],
+    360: [22, 23, 24, 25, 26, 74, 75],
+    370: [20, 21, 22, 23, 24, 25, 74, 75],
+    380: [19, 20, 21, 22, 23, 74, 75],
+    390: [17, 18, 19, 20, 21, 75],
+    400: [16, 17, 18, 19, 20, 75],
+    410: [14, 15, 16, 17, 18, 19, 75],
+    420: [13, 14, 15, 16, 17, 75],
+    430: [11, 12, 13, 14, 15, 16, 75],
+    440: [10, 11, 12, 13, 14, 75],
+    450: [8, 9, 10, 11, 12, 75],
+    460: [7, 8, 9, 10, 11, 75],
+    470: [6, 7, 8, 9, 10, 75],
+    480: [5, 6, 7, 8, 75],
+    490: [5, 6, 7, 75],
+    500: [75]
+  },
+  510: {
+    0: [62, 63, 64, 67, 68, 69],
+    10: [61, 62, 63, 64, 67, 68, 69, 70],
+    20: [60, 61, 62, 63, 64, 67, 68, 69, 70],
+    30: [59, 60, 61, 62, 68, 69, 70, 71],
+    40: [58, 59, 60, 61, 69, 70, 71],
+    50: [57, 58, 59, 60, 70, 71],
+    60: [56, 57, 58, 59, 70, 71],
+    70: [55, 56, 57, 58, 70, 71, 72],
+    80: [54, 55, 56, 57, 71, 72],
+    90: [53, 54, 55, 56, 71, 72],
+    100: [52, 53, 54, 55, 71, 72],
+    110: [51, 52, 53, 54, 71, 72],
+    120: [50, 51, 52, 53, 71, 72],
+    130: [50, 51, 52, 72, 73],
+    140: [49, 50, 51, 72, 73],
+    150: [47, 48, 49, 50, 72, 73],
+    160: [46, 47, 48, 49, 72, 73],
+    170: [45, 46, 47, 48, 72, 73],
+    180: [44, 45, 46, 47, 72, 73],
+    190: [43, 44, 45, 46, 72, 73],
+    200: [42, 43, 44, 45, 73],
+    210: [41, 42, 43, 44, 73],
+    220: [40, 41, 42, 43, 73],
+    230: [39, 40, 41, 42, 73, 74],
+    240: [37, 38, 39, 40, 41, 73, 74],
+    250: [36, 37, 38, 39, 40, 73, 74],
+    260: [35, 36, 37, 38, 39, 73, 74],
+    270: [34, 35, 36, 37, 73, 74],
+    280: [33, 34, 35, 36, 73, 74],
+    290: [31, 32, 33, 34, 35, 73, 74],
+    300: [30, 31, 32, 33, 34, 73, 74],
+    310: [29, 30, 31, 32, 74],
+    320: [27, 28, 29, 30, 31, 74],
+    330: [26, 27, 28, 29, 30, 74],
+    340: [25, 26, 27, 28, 74],
+    350: [23, 24, 25, 26, 27, 74],
+    360: [22, 23, 24, 25, 26, 74],
+    370: [20, 21, 22, 23, 24, 74, 75],
+    380: [19, 20, 21, 22, 23, 74, 75],
+    390: [18, 19, 20, 21, 22, 74, 75],
+    400: [16, 17, 18, 19, 20, 74, 75],
+    410: [14, 15, 16, 17, 18, 19, 74, 75],
+    420: [13, 14, 15, 16, 17, 74, 75],
+    430: [11, 12, 13, 14, 15, 16, 74, 75],
+    440: [10, 11, 12, 13, 14, 74, 75],
+    450: [9, 10, 11, 12, 13, 74, 75],
+    460: [7, 8, 9, 10, 11, 74, 75],
+    470: [6, 7, 8, 9, 10, 75],
+    480: [6, 7, 8, 75],
+    490: [6, 7, 75],
+    500: [75]
+  },
+  520: {
+    0: [62, 63, 64, 66, 67, 68],
+    10: [61, 62, 63, 64, 66, 67, 68, 69],
+    20: [60, 61, 62, 63, 66, 67, 68, 69],
+    30: [59, 60, 61, 62, 67, 68, 69, 70],
+    40: [58, 59, 60, 61, 68, 69, 70],
+    50: [57, 58, 59, 60, 69, 70],
+    60: [56, 57, 58, 59, 69, 70, 71],
+    70: [55, 56, 57, 58, 70, 71],
+    80: [54, 55, 56, 57, 70, 71],
+    90: [53, 54, 55, 56, 70, 71],
+    100: [52, 53, 54, 55, 70, 71, 72],
+    110: [51, 52, 53, 54, 71, 72],
+    120: [50, 51, 52, 53, 71, 72],
+    130: [49, 50, 51, 52, 71, 72],
+    140: [48, 49, 50, 51, 71, 72],
+    150: [47, 48, 49, 50, 71, 72],
+    160: [46, 47, 48, 49, 72],
+    170: [45, 46, 47, 48, 72, 73],
+    180: [44, 45, 46, 47, 72, 73],
+    190: [43, 44, 45, 46, 72, 73],
+    200: [42, 43, 44, 45, 72, 73],
+    210: [41, 42, 43, 44, 72, 73],
+    220: [40, 41, 42, 43, 72, 73],
+    230: [38, 39, 40, 41, 42, 72, 73],
+    240: [37, 38, 39, 40, 72, 73],
+    250: [36, 37, 38, 39, 73],
+    260: [35, 36, 37, 38, 73],
+    270: [34, 35, 36, 37, 73],
+    280: [32, 33, 34, 35, 36, 73],
+    290: [31, 32, 33, 34, 35, 73, 74],
+    300: [30, 31, 32, 33, 73, 74],
+    310: [29, 30, 31, 32, 73, 74],
+    320: [27, 28, 29, 30, 31, 73, 74],
+    330: [26, 27, 28, 29, 73, 74],
+    340: [24, 25, 26, 27, 28, 73, 74],
+    350: [23, 24, 25, 26, 27, 73, 74],
+    360: [22, 23, 24, 25, 73, 74],
+    370: [20, 21, 22, 23, 24, 74],
+    380: [19, 20, 21, 22, 23, 74],
+    390: [17, 18, 19, 20, 21, 74],
+    400: [16, 17, 18, 19, 20, 74],
+    410: [15, 16, 17, 18, 74],
+    420: [13, 14, 15, 16, 17, 74],
+    430: [12, 13, 14, 15, 16, 74],
+    440: [10, 11, 12, 13, 14, 74],
+    450: [9, 10, 11, 12, 13, 74],
+    460: [7, 8, 9, 10, 11, 74, 75],
+    470: [6, 7, 8, 9, 10, 74, 75],
+    480: [6, 7, 8, 74, 75],
+    490: [6, 7, 74, 75]
+  },
+  530: {
+    0: [62, 63, 64, 65, 66, 67, 68],
+    10: [61, 62, 63, 64, 65, 66, 67, 68],
+    20: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69],
+    30: [59, 60, 61, 62, 63, 66, 67, 68, 69],
+    40: [58, 59, 60, 61, 67, 68, 69, 70],
+    50: [57, 58, 59, 60, 68, 69, 70],
+    60: [56, 57, 58, 69, 70],
+    70: [55, 56, 57, 69, 70],
+    80: [54, 55, 56, 69, 70, 71],
+    90: [53, 54, 55, 70, 71],
+    100: [52, 53, 54, 70, 71],
+    110: [51, 52, 53, 70, 71],
+    120: [50, 51, 52, 70, 71],
+    130: [49, 50, 51, 52, 70, 71],
+    140: [48, 49, 50, 51, 71, 72],
+    150: [47, 48, 49, 50, 71, 72],
+    160: [46, 47, 48, 49, 71, 72],
+    170: [45, 46, 47, 48, 71, 72],
+    180: [44, 45, 46, 71, 72],
+    190: [43, 44, 45, 46, 71, 72],
+    200: [41, 42, 43, 44, 72],
+    210: [40, 41, 42, 43, 72],
+    220: [39, 40, 41, 42, 72, 73],
+    230: [38, 39, 40, 41, 72, 73],
+    240: [37, 38, 39, 40, 72, 73],
+    250: [36, 37, 38, 39, 72, 73],
+    260: [34, 35, 36, 37, 38, 72, 73],
+    270: [33, 34, 35, 36, 37, 72, 73],
+    280: [32, 33, 34, 35, 72, 73],
+    290: [31, 32, 33, 34, 72, 73],
+    300: [30, 31, 32, 33, 73],
+    310: [28, 29, 30, 31, 32, 73],
+    320: [27, 28, 29, 30, 31, 73],
+    330: [26, 27, 28, 29, 73],
+    340: [24, 25, 26, 27, 28, 73],
+    350: [23, 24, 25, 26, 27, 73, 74],
+    360: [22, 23, 24, 25, 73, 74],
+    370: [20, 21, 22, 23, 24, 73, 74],
+    380: [19, 20, 21, 22, 23, 73, 74],
+    390: [17, 18, 19, 20, 21, 73, 74],
+    400: [16, 17, 18, 19, 20, 73, 74],
+    410: [15, 16, 17, 18, 19, 73, 74],
+    420: [13, 14, 15, 16, 17, 73, 74],
+    430: [12, 13, 14, 15, 16, 73, 74],
+    440: [10, 11, 12, 13, 14, 74],
+    450: [9, 10, 11, 12, 13, 74],
+    460: [8, 9, 10, 11, 74],
+    470: [6, 7, 8, 9, 10, 74],
+    480: [6, 7, 8, 9, 74],
+    490: [6, 7, 74]
+  },
+  540: {
+    0: [63, 64, 65, 66, 67],
+    10: [61, 62, 63, 64, 65, 66, 67],
+    20: [60, 61, 62, 63, 64, 65, 66, 67, 68],
+    30: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    40: [57, 58, 59, 60, 61, 66, 67, 68, 69],
+    50: [56, 57, 58, 59, 67, 68, 69],
+    60: [55, 56, 57, 58, 68, 69, 70],
+    70: [54, 55, 56, 57, 68, 69, 70],
+    80: [53, 54, 55, 56, 69, 70],
+    90: [52, 53, 54, 55, 69, 70],
+    100: [51, 52, 53, 54, 69, 70],
+    110: [50, 51, 52, 53, 69, 70, 71],
+    120: [50, 51, 52, 70, 71],
+    130: [48, 49, 50, 51, 70, 71],
+    140: [47, 48, 49, 50, 70, 71],
+    150: [46, 47, 48, 49, 70, 71],
+    160: [45, 46, 47, 48, 70, 71],
+    170: [44, 45, 46, 47, 71, 72],
+    180: [43, 44, 45, 46, 71, 72],
+    190: [42, 43, 44, 45, 71, 72],
+    200: [41, 42, 43, 44, 71, 72],
+    210: [40, 41, 42, 43, 71, 72],
+    220: [39, 40, 41, 42, 71, 72],
+    230: [38, 39, 40, 41, 71, 72],
+    240: [37, 38, 39, 40, 72],
+    250: [36, 37, 38, 39, 72],
+    260: [34, 35, 36, 37, 38, 72],
+    270: [33, 34, 35, 36, 72, 73],
+    280: [32, 33, 34, 35, 72, 73],
+    290: [31, 32, 33, 34, 72, 73],
+    300: [29, 30, 31, 32, 33, 72, 73],
+    310: [28, 29, 30, 31, 32, 72, 73],
+    320: [27, 28, 29, 30, 72, 73],
+    330: [25, 26, 27, 28, 29, 72, 73],
+    340: [24, 25, 26, 27, 28, 72, 73],
+    350: [23, 24, 25, 26, 72, 73],
+    360: [21, 22, 23, 24, 25, 73],
+    370: [20, 21, 22, 23, 24, 73],
+    380: [19, 20, 21, 22, 73],
+    390: [17, 18, 19, 20, 21, 73],
+    400: [16, 17, 18, 19, 20, 73],
+    410: [15, 16, 17, 18, 73],
+    420: [13, 14, 15, 16, 17, 73],
+    430: [12, 13, 14, 15, 16, 73, 74],
+    440: [11, 12, 13, 14, 73, 74],
+    450: [9, 10, 11, 12, 13, 73, 74],
+    460: [8, 9, 10, 11, 12, 73, 74],
+    470: [7, 8, 9, 10, 73, 74],
+    480: [7, 8, 9, 73, 74],
+    490: [7, 74]
+  },
+  550: {
+    0: [63, 64, 65],
+    10: [61, 62, 63, 64, 65, 66, 67],
+    20: [60, 61, 62, 63, 64, 65, 66, 67],
+    30: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    40: [57, 58, 59, 60, 61, 65, 66, 67, 68],
+    50: [56, 57, 58, 59, 66, 67, 68, 69],
+    60: [55, 56, 57, 58, 67, 68, 69],
+    70: [54, 55, 56, 57, 68, 69],
+    80: [53, 54, 55, 56, 68, 69],
+    90: [52, 53, 54, 55, 68, 69, 70],
+    100: [51, 52, 53, 54, 69, 70],
+    110: [50, 51, 52, 53, 69, 70],
+    120: [49, 50, 51, 52, 69, 70],
+    130: [48, 49, 50, 51, 69, 70],
+    140: [47, 48, 49, 50, 70, 71],
+    150: [46, 47, 48, 49, 70, 71],
+    160: [45, 46, 47, 48, 70, 71],
+    170: [44, 45, 46, 47, 70, 71],
+    180: [43, 44, 45, 46, 70, 71],
+    190: [42, 43, 44, 45, 70, 71],
+    200: [41, 42, 43, 44, 71],
+    210: [40, 41, 42, 43, 71],
+    220: [39, 40, 41, 42, 71, 72],
+    230: [37, 38, 39, 40, 41, 71, 72],
+    240: [36, 37, 38, 39, 40, 71, 72],
+    250: [35, 36, 37, 38, 71, 72],
+    260: [34, 35, 36, 37, 71, 72],
+    270: [33, 34, 35, 36, 71, 72],
+    280: [32, 33, 34, 35, 71, 72],
+    290: [30, 31, 32, 33, 34, 72],
+    300: [29, 30, 31, 32, 33, 72],
+    310: [28, 29, 30, 31, 72],
+    320: [27, 28, 29, 30, 72],
+    330: [25, 26, 27, 28, 29, 72],
+    340: [24, 25, 26, 27, 28, 72, 73],
+    350: [23, 24, 25, 26, 72, 73],
+    360: [21, 22, 23, 24, 25, 72, 73],
+    370: [20, 21, 22, 23, 24, 72, 73],
+    380: [19, 20, 21, 22, 23, 72, 73],
+    390: [17, 18, 19, 20, 21, 72, 73],
+    400: [16, 17, 18, 19, 20, 72, 73],
+    410: [15, 16, 17, 18, 72, 73],
+    420: [14, 15, 16, 17, 73],
+    430: [12, 13, 14, 15, 16, 73],
+    440: [11, 12, 13, 14, 15, 73],
+    450: [9, 10, 11, 12, 13, 73],
+    460: [8, 9, 10, 11, 12, 73],
+    470: [7, 8, 9, 10, 73],
+    480: [7, 8, 9, 73],
+    490: [7, 8, 73]
+  },
+  560: {
+    10: [61, 62, 63, 64, 65],
+    20: [60, 61, 62, 63, 64, 65, 66],
+    30: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    40: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
+    50: [56, 57, 58, 59, 60, 65, 66, 67, 68],
+    60: [55, 56, 57, 58, 66, 67, 68],
+    70: [54, 55, 56, 57, 67, 68, 69],
+    80: [53, 54, 55, 56, 67, 68, 69],
+    90: [52, 53, 54, 55, 68, 69],
+    100: [51, 52, 53, 54, 68, 69],
+    110: [50, 51, 52, 53, 68, 69, 70],
+    120: [49, 50, 51, 52, 68, 69, 70],
+    130: [48, 49, 50, 51, 69, 70],
+    140: [47, 48, 49, 50, 69, 70],
+    150: [46, 47, 48, 49, 69, 70],
+    160: [45, 46, 47, 48, 69, 70],
+    170: [44, 45, 46, 47, 70],
+    180: [43, 44, 45, 46, 70, 71],
+    190: [42, 43, 44, 45, 70, 71],
+    200: [41, 42, 43, 70, 71],
+    210: [39, 40, 41, 42, 70, 71],
+    220: [38, 39, 40, 41, 70, 71],
+    230: [37, 38, 39, 40, 70, 71],
+    240: [36, 37, 38, 39, 71],
+    250: [35, 36, 37, 38, 71],
+    260: [34, 35, 36, 37, 71],
+    270: [33, 34, 35, 36, 71, 72],
+    280: [32, 33, 34, 35, 71, 72],
+    290: [30, 31, 32, 33, 34, 71, 72],
+    300: [29, 30, 31, 32, 71, 72],
+    310: [28, 29, 30, 31, 71, 72],
+    320: [27, 28, 29, 30, 71, 72],
+    330: [25, 26, 27, 28, 29, 71, 72],
+    340: [24, 25, 26, 27, 28, 72],
+    350: [23, 24, 25, 26, 72],
+    360: [22, 23, 24, 25, 72],
+    370: [20, 21, 22, 23, 24, 72],
+    380: [19, 20, 21, 22, 72],
+    390: [18, 19, 20, 21, 72],
+    400: [16, 17, 18, 19, 20, 72, 73],
+    410: [15, 16, 17, 18, 19, 72, 73],
+    420: [13, 14, 15, 16, 17, 72, 73],
+    430: [12, 13, 14, 15, 16, 72, 73],
+    440: [11, 12, 13, 14, 72, 73],
+    450: [10, 11, 12, 13, 72, 73],
+    460: [8, 9, 10, 11, 12, 72, 73],
+    470: [7, 8, 9, 10, 11, 72, 73],
+    480: [7, 8, 9, 72, 73],
+    490: [7, 8],
+    500: [7]
+  },
+  570: {
+    10: [62, 63, 64],
+    20: [60, 61, 62, 63, 64, 65],
+    30: [58, 59, 60, 61, 62, 63, 64, 65, 66],
+    40: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
+    50: [56, 57, 58, 59, 60, 64, 65, 66, 67],
+    60: [55, 56, 57, 58, 65, 66, 67, 68],
+    70: [54, 55, 56, 57, 66, 67, 68],
+    80: [53, 54, 55, 56, 66, 67, 68],
+    90: [52, 53, 54, 55, 67, 68],
+    100: [51, 52, 53, 67, 68, 69],
+    110: [50, 51, 52, 68, 69],
+    120: [49, 50, 51, 68, 69],
+    130: [48, 49, 50, 68, 69],
+    140: [47, 48, 49, 68, 69, 70],
+    150: [46, 47, 48, 69, 70],
+    160: [45, 46, 47, 69, 70],
+    170: [44, 45, 46, 69, 70],
+    180: [42, 43, 44, 45, 69, 70],
+    190: [41, 42, 43, 44, 69, 70],
+    200: [40, 41, 42, 43, 69, 70],
+    210: [39, 40, 41, 42, 70],
+    220: [38, 39, 40, 41, 70, 71],
+    230: [37, 38, 39, 40, 70, 71],
+    240: [36, 37, 38, 39, 70, 71],
+    250: [35, 36, 37, 38, 70, 71],
+    260: [34, 35, 36, 37, 70, 71],
+    270: [33, 34, 35, 36, 70, 71],
+    280: [31, 32, 33, 34, 70, 71],
+    290: [30, 31, 32, 33, 71],
+    300: [29, 30, 31, 32, 71],
+    310: [28, 29, 30, 31, 71],
+    320: [27, 28, 29, 30, 71, 72],
+    330: [25, 26, 27, 28, 29, 71, 72],
+    340: [24, 25, 26, 27, 71, 72],
+    350: [23, 24, 25, 26, 71, 72],
+    360: [21, 22, 23, 24, 25, 71, 72],
+    370: [20, 21, 22, 23, 24, 71, 72],
+    380: [19, 20, 21, 22, 71, 72],
+    390: [18, 19, 20, 21, 71, 72],
+    400: [16, 17, 18, 19, 20, 72],
+    410: [15, 16, 17, 18, 19, 72],
+    420: [14, 15, 16, 17, 72],
+    430: [12, 13, 14, 15, 16, 72],
+    440: [11, 12, 13, 14, 15, 72],
+    450: [10, 11, 12, 13, 72],
+    460: [8, 9, 10, 11, 12, 72],
+    470: [7, 8, 9, 10, 11, 72, 73],
+    480: [7, 8, 9, 72],
+    490: [7, 8, 72],
+    500: [7]
+  },
+  580: {
+    20: [60, 61, 62, 63, 64],
+    30: [58, 59, 60, 61, 62, 63, 64, 65],
+    40: [57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    50: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    60: [55, 56, 57, 58, 64, 65, 66, 67],
+    70: [54, 55, 56, 57, 65, 66, 67],
+    80: [53, 54, 55, 56, 66, 67, 68],
+    90: [52, 53, 54, 66, 67, 68],
+    100: [51, 52, 53, 67, 68],
+    110: [49, 50, 51, 52, 67, 68],
+    120: [48, 49, 50, 51, 67, 68, 69],
+    130: [47, 48, 49, 50, 68, 69],
+    140: [46, 47, 48, 49, 68, 69],
+    150: [45, 46, 47, 48, 68, 69],
+    160: [44, 45, 46, 47, 68, 69],
+    170: [43, 44, 45, 46, 68, 69],
+    180: [42, 43, 44, 45, 69, 70],
+    190: [41, 42, 43, 44, 69, 70],
+    200: [40, 41, 42, 43, 69, 70],
+    210: [39, 40, 41, 42, 69, 70],
+    220: [38, 39, 40, 41, 69, 70],
+    230: [37, 38, 39, 40, 69, 70],
+    240: [36, 37, 38, 39, 70],
+    250: [35, 36, 37, 38, 70],
+    260: [34, 35, 36, 37, 70, 71],
+    270: [32, 33, 34, 35, 70, 71],
+    280: [31, 32, 33, 34, 70, 71],
+    290: [30, 31, 32, 33, 70, 71],
+    300: [29, 30, 31, 32, 70, 71],
+    310: [28, 29, 30, 31, 70, 71],
+    320: [26, 27, 28, 29, 30, 70, 71],
+    330: [25, 26, 27, 28, 29, 70, 71],
+    340: [24, 25, 26, 27, 71],
+    350: [23, 24, 25, 26, 71],
+    360: [21, 22, 23, 24, 25, 71],
+    370: [20, 21, 22, 23, 71],
+    380: [19, 20, 21, 22, 71, 72],
+    390: [18, 19, 20, 21, 71, 72],
+    400: [16, 17, 18, 19, 20, 71, 72],
+    410: [15, 16, 17, 18, 71, 72],
+    420: [14, 15, 16, 17, 71, 72],
+    430: [13, 14, 15, 16, 71, 72],
+    440: [11, 12, 13, 14, 15, 71, 72],
+    450: [10, 11, 12, 13, 14, 71, 72],
+    460: [9, 10, 11, 12, 72],
+    470: [8, 9, 10, 11, 72],
+    480: [7, 8, 9, 10, 72],
+    490: [7, 8, 72]
+  },
+  590: {
+    20: [61, 62, 63],
+    30: [59, 60, 61, 62, 63, 64],
+    40: [57, 58, 59, 60, 61, 62, 63, 64, 65],
+    50: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
+    60: [55, 56, 57, 58, 59, 63, 64, 65, 66],
+    70: [54, 55, 56, 57, 64, 65, 66, 67],
+    80: [52, 53, 54, 55, 56, 65, 66, 67],
+    90: [51, 52, 53, 54, 65, 66, 67],
+    100: [50, 51, 52, 53, 66, 67, 68],
+    110: [49, 50, 51, 52, 66, 67, 68],
+    120: [48, 49, 50, 51, 67, 68],
+    130: [47, 48, 49, 50, 67, 68],
+    140: [46, 47, 48, 49, 67, 68],
+    150: [45, 46, 47, 48, 67, 68, 69],
+    160: [44, 45, 46, 47, 68, 69],
+    170: [43, 44, 45, 46, 68, 69],
+    180: [42, 43, 44, 45, 68, 69],
+    190: [41, 42, 43, 44, 68, 69],
+    200: [40, 41, 42, 43, 68, 69],
+    210: [39, 40, 41, 42, 69],
+    220: [38, 39, 40, 41, 69, 70],
+    230: [37, 38, 39, 40, 69, 70],
+    240: [36, 37, 38, 39, 69, 70],
+    250: [34, 35, 36, 37, 69, 70],
+    260: [33, 34, 35, 36, 69, 70],
+    270: [32, 33, 34, 35, 69, 70],
+    280: [31, 32, 33, 34, 70],
+    290: [30, 31, 32, 33, 70],
+    300: [29, 30, 31, 32, 70],
+    310: [28, 29, 30, 31, 70, 71],
+    320: [26, 27, 28, 29, 30, 70, 71],
+    330: [25, 26, 27, 28, 70, 71],
+    340: [24, 25, 26, 27, 70, 71],
+    350: [23, 24, 25, 26, 70, 71],
+    360: [22, 23, 24, 25, 70, 71],
+    370: [20, 21, 22, 23, 24, 70, 71],
+    380: [19, 20, 21, 22, 70, 71],
+    390: [18, 19, 20, 21, 71],
+    400: [17, 18, 19, 20, 71],
+    410: [15, 16, 17, 18, 19, 71],
+    420: [14, 15, 16, 17, 71],
+    430: [13, 14, 15, 16, 71],
+    440: [11, 12, 13, 14, 15, 71],
+    450: [10, 11, 12, 13, 14, 71, 72],
+    460: [9, 10, 11, 12, 71, 72],
+    470: [8, 9, 10, 11, 71, 72],
+    480: [8, 9, 10, 71, 72],
+    490: [8, 9, 71, 72]
+  },
+  600: {
+    30: [59, 60, 61, 62, 63],
+    40: [57, 58, 59, 60, 61, 62, 63, 64],
+    50: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    60: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    70: [53, 54, 55, 56, 57, 63, 64, 65, 66],
+    80: [52, 53, 54, 55, 56, 64, 65, 66],
+    90: [51, 52, 53, 54, 65, 66, 67],
+    100: [50, 51, 52, 53, 65, 66, 67],
+    110: [49, 50, 51, 52, 66, 67],
+    120: [48, 49, 50, 51, 66, 67],
+    130: [47, 48, 49, 50, 66, 67, 68],
+    140: [46, 47, 48, 49, 67, 68],
+    150: [45, 46, 47, 48, 67, 68],
+    160: [44, 45, 46, 47, 67, 68],
+    170: [43, 44, 45, 46, 67, 68],
+    180: [42, 43, 44, 45, 67, 68, 69],
+    190: [41, 42, 43, 44, 68, 69],
+    200: [40, 41, 42, 43, 68, 69],
+    210: [39, 40, 41, 42, 68, 69],
+    220: [38, 39, 40, 68, 69],
+    230: [37, 38, 39, 68, 69],
+    240: [35, 36, 37, 38, 68, 69],
+    250: [34, 35, 36, 37, 69],
+    260: [33, 34, 35, 36, 69, 70],
+    270: [32, 33, 34, 35, 69, 70],
+    280: [31, 32, 33, 34, 69, 70],
+    290: [30, 31, 32, 33, 69, 70],
+    300: [29, 30, 31, 32, 69, 70],
+    310: [27, 28, 29, 30, 31, 69, 70],
+    320: [26, 27, 28, 29, 69, 70],
+    330: [25, 26, 27, 28, 70],
+    340: [24, 25, 26, 27, 70],
+    350: [23, 24, 25, 26, 70],
+    360: [22, 23, 24, 25, 70],
+    370: [20, 21, 22, 23, 24, 70, 71],
+    380: [19, 20, 21, 22, 70, 71],
+    390: [18, 19, 20, 21, 70, 71],
+    400: [17, 18, 19, 20, 70, 71],
+    410: [15, 16, 17, 18, 19, 70, 71],
+    420: [14, 15, 16, 17, 18, 70, 71],
+    430: [13, 14, 15, 16, 70, 71],
+    440: [12, 13, 14, 15, 70, 71],
+    450: [10, 11, 12, 13, 14, 71],
+    460: [9, 10, 11, 12, 13, 71],
+    470: [8, 9, 10, 11, 71],
+    480: [8, 9, 10, 71],
+    490: [8, 9, 71]
+  },
+  610: {
+    30: [60, 61, 62],
+    40: [58, 59, 60, 61, 62, 63],
+    50: [56, 57, 58, 59, 60, 61, 62, 63, 64],
+    60: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
+    70: [53, 54, 55, 56, 57, 58, 61, 62, 63, 64, 65],
+    80: [52, 53, 54, 55, 56, 63, 64, 65, 66],
+    90: [51, 52, 53, 54, 64, 65, 66],
+    100: [50, 51, 52, 53, 64, 65, 66],
+    110: [49, 50, 51, 52, 65, 66, 67],
+    120: [48, 49, 50, 51, 65, 66, 67],
+    130: [47, 48, 49, 50, 66, 67],
+    140: [46, 47, 48, 49, 66, 67],
+    150: [45, 46, 47, 48, 66, 67],
+    160: [44, 45, 46, 47, 66, 67, 68],
+    170: [43, 44, 45, 46, 67, 68],
+    180: [42, 43, 44, 67, 68],
+    190: [41, 42, 43, 67, 68],
+    200: [40, 41, 42, 67, 68],
+    210: [39, 40, 41, 67, 68],
+    220: [38, 39, 40, 68, 69],
+    230: [36, 37, 38, 39, 68, 69],
+    240: [35, 36, 37, 38, 68, 69],
+    250: [34, 35, 36, 37, 68, 69],
+    260: [33, 34, 35, 36, 68, 69],
+    270: [32, 33, 34, 35, 68, 69],
+    280: [31, 32, 33, 34, 69],
+    290: [30, 31, 32, 33, 69],
+    300: [29, 30, 31, 32, 69, 70],
+    310: [28, 29, 30, 31, 69, 70],
+    320: [26, 27, 28, 29, 69, 70],
+    330: [25, 26, 27, 28, 69, 70],
+    340: [24, 25, 26, 27, 69, 70],
+    350: [23, 24, 25, 26, 69, 70],
+    360: [22, 23, 24, 25, 69, 70],
+    370: [20, 21, 22, 23, 24, 69, 70],
+    380: [19, 20, 21, 22, 70],
+    390: [18, 19, 20, 21, 70],
+    400: [17, 18, 19, 20, 70],
+    410: [16, 17, 18, 19, 70],
+    420: [14, 15, 16, 17, 18, 70],
+    430: [13, 14, 15, 16, 70, 71],
+    440: [12, 13, 14, 15, 70, 71],
+    450: [11, 12, 13, 14, 70, 71],
+    460: [9, 10, 11, 12, 13, 70, 71],
+    470: [9, 10, 11, 70, 71],
+    480: [8, 9, 10, 70, 71],
+    490: [8, 9, 71]
+  },
+  620: {
+    40: [58, 59, 60, 61, 62],
+    50: [56, 57, 58, 59, 60, 61, 62, 63],
+    60: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    70: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    80: [52, 53, 54, 55, 56, 62, 63, 64, 65],
+    90: [51, 52, 53, 54, 55, 63, 64, 65],
+    100: [50, 51, 52, 53, 63, 64, 65, 66],
+    110: [49, 50, 51, 52, 64, 65, 66],
+    120: [48, 49, 50, 51, 64, 65, 66],
+    130: [47, 48, 49, 50, 65, 66],
+    140: [46, 47, 48, 49, 65, 66, 67],
+    150: [45, 46, 47, 48, 66, 67],
+    160: [44, 45, 46, 66, 67],
+    170: [43, 44, 45, 66, 67],
+    180: [42, 43, 44, 66, 67],
+    190: [41, 42, 43, 67, 68],
+    200: [40, 41, 42, 67, 68],
+    210: [39, 40, 41, 67, 68],
+    220: [37, 38, 39, 40, 67, 68],
+    230: [36, 37, 38, 39, 67, 68],
+    240: [35, 36, 37, 38, 67, 68],
+    250: [34, 35, 36, 37, 68],
+    260: [33, 34, 35, 36, 68, 69],
+    270: [32, 33, 34, 35, 68, 69],
+    280: [31, 32, 33, 34, 68, 69],
+    290: [30, 31, 32, 33, 68, 69],
+    300: [29, 30, 31, 32, 68, 69],
+    310: [28, 29, 30, 68, 69],
+    320: [26, 27, 28, 29, 68, 69],
+    330: [25, 26, 27, 28, 69],
+    340: [24, 25, 26, 27, 69],
+    350: [23, 24, 25, 26, 69],
+    360: [22, 23, 24, 25, 69, 70],
+    370: [21, 22, 23, 24, 69, 70],
+    380: [19, 20, 21, 22, 69, 70],
+    390: [18, 19, 20, 21, 69, 70],
+    400: [17, 18, 19, 20, 69, 70],
+    410: [16, 17, 18, 19, 69, 70],
+    420: [14, 15, 16, 17, 18, 69, 70],
+    430: [13, 14, 15, 16, 17, 69, 70],
+    440: [12, 13, 14, 15, 70],
+    450: [11, 12, 13, 14, 70],
+    460: [10, 11, 12, 13, 70],
+    470: [9, 10, 11, 12, 70],
+    480: [9, 10, 11, 70],
+    490: [9]
+  },
+  630: {
+    40: [59, 60],
+    50: [57, 58, 59, 60, 61, 62],
+    60: [55, 56, 57, 58, 59, 60, 61, 62, 63],
+    70: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    80: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
+    90: [51, 52, 53, 54, 55, 62, 63, 64, 65],
+    100: [50, 51, 52, 53, 63, 64, 65],
+    110: [49, 50, 51, 52, 63, 64, 65],
+    120: [48, 49, 50, 51, 64, 65, 66],
+    130: [47, 48, 49, 50, 64, 65, 66],
+    140: [46, 47, 48, 49, 65, 66],
+    150: [45, 46, 47, 65, 66],
+    160: [44, 45, 46, 65, 66, 67],
+    170: [43, 44, 45, 65, 66, 67],
+    180: [42, 43, 44, 66, 67],
+    190: [40, 41, 42, 43, 66, 67],
+    200: [39, 40, 41, 42, 66, 67],
+    210: [38, 39, 40, 41, 66, 67],
+    220: [37, 38, 39, 40, 67, 68],
+    230: [36, 37, 38, 39, 67, 68],
+    240: [35, 36, 37, 38, 67, 68],
+    250: [34, 35, 36, 37, 67, 68],
+    260: [33, 34, 35, 36, 67, 68],
+    270: [32, 33, 34, 35, 67, 68],
+    280: [31, 32, 33, 34, 68],
+    290: [30, 31, 32, 33, 68],
+    300: [29, 30, 31, 32, 68, 69],
+    310: [27, 28, 29, 30, 68, 69],
+    320: [26, 27, 28, 29, 68, 69],
+    330: [25, 26, 27, 28, 68, 69],
+    340: [24, 25, 26, 27, 68, 69],
+    350: [23, 24, 25, 26, 68, 69],
+    360: [22, 23, 24, 25, 68, 69],
+    370: [21, 22, 23, 24, 68, 69],
+    380: [19, 20, 21, 22, 23, 69],
+    390: [18, 19, 20, 21, 69],
+    400: [17, 18, 19, 20, 69],
+    410: [16, 17, 18, 19, 69, 70],
+    420: [15, 16, 17, 18, 69, 70],
+    430: [14, 15, 16, 17, 69, 70],
+    440: [13, 14, 15, 69, 70],
+    450: [11, 12, 13, 14, 69, 70],
+    460: [10, 11, 12, 13, 69, 70],
+    470: [9, 10, 11, 12, 69, 70],
+    480: [9, 10, 11, 69, 70],
+    490: [9, 10]
+  },
+  640: {
+    50: [57, 58, 59, 60, 61],
+    60: [55, 56, 57, 58, 59, 60, 61, 62],
+    70: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    80: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    90: [51, 52, 53, 54, 55, 56, 60, 61, 62, 63, 64],
+    100: [50, 51, 52, 53, 54, 61, 62, 63, 64],
+    110: [49, 50, 51, 52, 62, 63, 64, 65],
+    120: [48, 49, 50, 51, 63, 64, 65],
+    130: [47, 48, 49, 50, 63, 64, 65],
+    140: [46, 47, 48, 49, 64, 65],
+    150: [45, 46, 47, 64, 65, 66],
+    160: [44, 45, 46, 65, 66],
+    170: [43, 44, 45, 65, 66],
+    180: [42, 43, 44, 65, 66],
+    190: [40, 41, 42, 43, 65, 66, 67],
+    200: [39, 40, 41, 42, 66, 67],
+    210: [38, 39, 40, 41, 66, 67],
+    220: [37, 38, 39, 40, 66, 67],
+    230: [36, 37, 38, 39, 66, 67],
+    240: [35, 36, 37, 38, 66, 67],
+    250: [34, 35, 36, 37, 67],
+    260: [33, 34, 35, 36, 67, 68],
+    270: [32, 33, 34, 35, 67, 68],
+    280: [31, 32, 33, 34, 67, 68],
+    290: [30, 31, 32, 33, 67, 68],
+    300: [29, 30, 31, 32, 67, 68],
+    310: [27, 28, 29, 30, 67, 68],
+    320: [26, 27, 28, 29, 67, 68],
+    330: [25, 26, 27, 28, 68],
+    340: [24, 25, 26, 27, 68],
+    350: [23, 24, 25, 26, 68, 69],
+    360: [22, 23, 24, 25, 68, 69],
+    370: [21, 22, 23, 24, 68, 69],
+    380: [20, 21, 22, 23, 68, 69],
+    390: [18, 19, 20, 21, 68, 69],
+    400: [17, 18, 19, 20, 68, 69],
+    410: [16, 17, 18, 19, 68, 69],
+    420: [15, 16, 17, 18, 68, 69],
+    430: [14, 15, 16, 17, 69],
+    440: [13, 14, 15, 16, 69],
+    450: [11, 12, 13, 14, 15, 69],
+    460: [10, 11, 12, 13, 69],
+    470: [10, 11, 12, 69],
+    480: [9, 10, 11, 69],
+    490: [10, 69]
+  },
+  650: {
+    60: [56, 57, 58, 59, 60, 61],
+    70: [54, 55, 56, 57, 58, 59, 60, 61, 62],
+    80: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    90: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
+    100: [50, 51, 52, 53, 54, 60, 61, 62, 63],
+    110: [49, 50, 51, 52, 53, 61, 62, 63, 64],
+    120: [48, 49, 50, 51, 62, 63, 64],
+    130: [47, 48, 49, 50, 63, 64, 65],
+    140: [46, 47, 48, 49, 63, 64, 65],
+    150: [45, 46, 47, 63, 64, 65],
+    160: [44, 45, 46, 64, 65],
+    170: [43, 44, 45, 64, 65, 66],
+    180: [41, 42, 43, 44, 64, 65, 66],
+    190: [40, 41, 42, 43, 65, 66],
+    200: [39, 40, 41, 42, 65, 66],
+    210: [38, 39, 40, 41, 65, 66],
+    220: [37, 38, 39, 40, 65, 66],
+    230: [36, 37, 38, 39, 66, 67],
+    240: [35, 36, 37, 38, 66, 67],
+    250: [34, 35, 36, 37, 66, 67],
+    260: [33, 34, 35, 36, 66, 67],
+    270: [32, 33, 34, 35, 66, 67],
+    280: [31, 32, 33, 34, 66, 67],
+    290: [30, 31, 32, 33, 67],
+    300: [29, 30, 31, 32, 67, 68],
+    310: [28, 29, 30, 67, 68],
+    320: [26, 27, 28, 29, 67, 68],
+    330: [25, 26, 27, 28, 67, 68],
+    340: [24, 25, 26, 27, 67, 68],
+    350: [23, 24, 25, 26, 67, 68],
+    360: [22, 23, 24, 25, 67, 68],
+    370: [21, 22, 23, 24, 68],
+    380: [20, 21, 22, 23, 68],
+    390: [19, 20, 21, 22, 68],
+    400: [17, 18, 19, 20, 68, 69],
+    410: [16, 17, 18, 19, 68, 69],
+    420: [15, 16, 17, 18, 68, 69],
+    430: [14, 15, 16, 17, 68, 69],
+    440: [13, 14, 15, 16, 68, 69],
+    450: [12, 13, 14, 15, 68, 69],
+    460: [11, 12, 13, 14, 68, 69],
+    470: [10, 11, 12, 68, 69],
+    480: [10, 11, 68, 69],
+    490: [10, 69]
+  },
+  660: {
+    60: [57, 58, 59],
+    70: [54, 55, 56, 57, 58, 59, 60, 61],
+    80: [53, 54, 55, 56, 57, 58, 59, 60, 61],
+    90: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    100: [50, 51, 52, 53, 54, 55, 56, 58, 59, 60, 61, 62, 63],
+    110: [49, 50, 51, 52, 53, 60, 61, 62, 63],
+    120: [48, 49, 50, 51, 61, 62, 63, 64],
+    130: [47, 48, 49, 50, 62, 63, 64],
+    140: [46, 47, 48, 49, 62, 63, 64],
+    150: [45, 46, 47, 48, 63, 64],
+    160: [44, 45, 46, 63, 64, 65],
+    170: [42, 43, 44, 45, 63, 64, 65],
+    180: [41, 42, 43, 44, 64, 65],
+    190: [40, 41, 42, 43, 64, 65],
+    200: [39, 40, 41, 42, 64, 65, 66],
+    210: [38, 39, 40, 41, 65, 66],
+    220: [37, 38, 39, 40, 65, 66],
+    230: [36, 37, 38, 39, 65, 66],
+    240: [35, 36, 37, 38, 65, 66],
+    250: [34, 35, 36, 37, 65, 66],
+    260: [33, 34, 35, 36, 66, 67],
+    270: [32, 33, 34, 35, 66, 67],
+    280: [31, 32, 33, 34, 66, 67],
+    290: [30, 31, 32, 33, 66, 67],
+    300: [29, 30, 31, 66, 67],
+    310: [28, 29, 30, 66, 67],
+    320: [26, 27, 28, 29, 66, 67],
+    330: [25, 26, 27, 28, 67],
+    340: [24, 25, 26, 27, 67, 68],
+    350: [23, 24, 25, 26, 67, 68],
+    360: [22, 23, 24, 25, 67, 68],
+    370: [21, 22, 23, 24, 67, 68],
+    380: [20, 21, 22, 23, 67, 68],
+    390: [19, 20, 21, 22, 67, 68],
+    400: [18, 19, 20, 21, 67, 68],
+    410: [16, 17, 18, 19, 67, 68],
+    420: [15, 16, 17, 18, 68],
+    430: [14, 15, 16, 17, 68],
+    440: [13, 14, 15, 16, 68],
+    450: [12, 13, 14, 15, 68],
+    460: [11, 12, 13, 14, 68, 69],
+    470: [10, 11, 12, 13, 68, 69],
+    480: [10, 11, 12, 68, 69],
+    490: [10, 11, 68, 69]
+  },
+  670: {
+    70: [55, 56, 57, 58, 59],
+    80: [53, 54, 55, 56, 57, 58, 59, 60, 61],
+    90: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    100: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    110: [49, 50, 51, 52, 53, 54, 59, 60, 61, 62],
+    120: [48, 49, 50, 51, 52, 60, 61, 62, 63],
+    130: [47, 48, 49, 50, 61, 62, 63],
+    140: [46, 47, 48, 49, 61, 62, 63, 64],
+    150: [45, 46, 47, 48, 62, 63, 64],
+    160: [44, 45, 46, 47, 62, 63, 64],
+    170: [42, 43, 44, 45, 63, 64],
+    180: [41, 42, 43, 44, 63, 64, 65],
+    190: [40, 41, 42, 43, 63, 64, 65],
+    200: [39, 40, 41, 42, 64, 65],
+    210: [38, 39, 40, 41, 64, 65],
+    220: [37, 38, 39, 40, 64, 65],
+    230: [36, 37, 38, 39, 64, 65, 66],
+    240: [35, 36, 37, 38, 65, 66],
+    250: [34, 35, 36, 37, 65, 66],
+    260: [33, 34, 35, 36, 65, 66],
+    270: [32, 33, 34, 35, 65, 66],
+    280: [31, 32, 33, 34, 65, 66],
+    290: [30, 31, 32, 33, 66],
+    300: [29, 30, 31, 66, 67],
+    310: [28, 29, 30, 66, 67],
+    320: [27, 28, 29, 66, 67],
+    330: [26, 27, 28, 66, 67],
+    340: [24, 25, 26, 27, 66, 67],
+    350: [23, 24, 25, 26, 66, 67],
+    360: [22, 23, 24, 25, 66, 67],
+    370: [21, 22, 23, 24, 67],
+    380: [20, 21, 22, 23, 67],
+    390: [19, 20, 21, 22, 67, 68],
+    400: [18, 19, 20, 21, 67, 68],
+    410: [17, 18, 19, 20, 67, 68],
+    420: [16, 17, 18, 19, 67, 68],
+    430: [15, 16, 17, 67, 68],
+    440: [13, 14, 15, 16, 67, 68],
+    450: [12, 13, 14, 15, 67, 68],
+    460: [11, 12, 13, 14, 67, 68],
+    470: [10, 11, 12, 13, 68],
+    480: [10, 11, 12, 68],
+    490: [10, 11, 68],
+    500: [10]
+  },
+  680: {
+    70: [57],
+    80: [54, 55, 56, 57, 58, 59],
+    90: [52, 53, 54, 55, 56, 57, 58, 59, 60],
+    100: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    110: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
+    120: [48, 49, 50, 51, 52, 59, 60, 61, 62],
+    130: [47, 48, 49, 50, 51, 60, 61, 62],
+    140: [46, 47, 48, 49, 61, 62, 63],
+    150: [45, 46, 47, 48, 61, 62, 63],
+    160: [44, 45, 46, 47, 62, 63],
+    170: [43, 44, 45, 62, 63, 64],
+    180: [42, 43, 44, 62, 63, 64],
+    190: [40, 41, 42, 43, 63, 64],
+    200: [39, 40, 41, 42, 63, 64],
+    210: [38, 39, 40, 41, 63, 64, 65],
+    220: [37, 38, 39, 40, 64, 65],
+    230: [36, 37, 38, 39, 64, 65],
+    240: [35, 36, 37, 38, 64, 65],
+    250: [34, 35, 36, 37, 64, 65],
+    260: [33, 34, 35, 36, 64, 65],
+    270: [32, 33, 34, 35, 65, 66],
+    280: [31, 32, 33, 34, 65, 66],
+    290: [30, 31, 32, 33, 65, 66],
+    300: [29, 30, 31, 32, 65, 66],
+    310: [28, 29, 30, 31, 65, 66],
+    320: [27, 28, 29, 65, 66],
+    330: [26, 27, 28, 66],
+    340: [24, 25, 26, 27, 66, 67],
+    350: [24, 25, 26, 66, 67],
+    360: [22, 23, 24, 25, 66, 67],
+    370: [21, 22, 23, 24, 66, 67],
+    380: [20, 21, 22, 23, 66, 67],
+    390: [19, 20, 21, 22, 66, 67],
+    400: [18, 19, 20, 21, 66, 67],
+    410: [17, 18, 19, 20, 67],
+    420: [16, 17, 18, 19, 67],
+    430: [15, 16, 17, 18, 67],
+    440: [14, 15, 16, 17, 67],
+    450: [12, 13, 14, 15, 67, 68],
+    460: [11, 12, 13, 14, 67, 68],
+    470: [11, 12, 13, 67, 68],
+    480: [10, 11, 12, 67, 68],
+    490: [10, 11, 68]
+  },
+  690: {
+    80: [55, 56, 57, 58],
+    90: [53, 54, 55, 56, 57, 58, 59],
+    100: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    110: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
+    120: [48, 49, 50, 51, 52, 53, 54, 56, 57, 58, 59, 60, 61],
+    130: [47, 48, 49, 50, 51, 59, 60, 61, 62],
+    140: [46, 47, 48, 49, 50, 60, 61, 62],
+    150: [45, 46, 47, 48, 60, 61, 62],
+    160: [44, 45, 46, 47, 61, 62, 63],
+    170: [43, 44, 45, 46, 61, 62, 63],
+    180: [42, 43, 44, 62, 63],
+    190: [40, 41, 42, 43, 62, 63, 64],
+    200: [39, 40, 41, 42, 62, 63, 64],
+    210: [38, 39, 40, 41, 63, 64],
+    220: [37, 38, 39, 40, 63, 64],
+    230: [36, 37, 38, 39, 63, 64],
+    240: [35, 36, 37, 38, 63, 64, 65],
+    250: [34, 35, 36, 37, 64, 65],
+    260: [33, 34, 35, 36, 64, 65],
+    270: [32, 33, 34, 35, 64, 65],
+    280: [31, 32, 33, 34, 64, 65],
+    290: [30, 31, 32, 33, 64, 65],
+    300: [29, 30, 31, 32, 65, 66],
+    310: [28, 29, 30, 31, 65, 66],
+    320: [27, 28, 29, 65, 66],
+    330: [26, 27, 28, 65, 66],
+    340: [25, 26, 27, 65, 66],
+    350: [24, 25, 26, 65, 66],
+    360: [22, 23, 24, 25, 65, 66],
+    370: [21, 22, 23, 24, 66],
+    380: [20, 21, 22, 23, 66],
+    390: [19, 20, 21, 22, 66, 67],
+    400: [18, 19, 20, 21, 66, 67],
+    410: [17, 18, 19, 20, 66, 67],
+    420: [16, 17, 18, 19, 66, 67],
+    430: [15, 16, 17, 18, 66, 67],
+    440: [14, 15, 16, 17, 66, 67],
+    450: [13, 14, 15, 16, 66, 67],
+    460: [12, 13, 14, 15, 66, 67],
+    470: [11, 12, 13, 67],
+    480: [11, 12, 67],
+    490: [11, 67]
+  },
+  700: {
+    90: [53, 54, 55, 56, 57, 58],
+    100: [51, 52, 53, 54, 55, 56, 57, 58, 59],
+    110: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    120: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    130: [47, 48, 49, 50, 51, 52, 57, 58, 59, 60, 61],
+    140: [46, 47, 48, 49, 50, 58, 59, 60, 61],
+    150: [45, 46, 47, 48, 59, 60, 61, 62],
+    160: [44, 45, 46, 47, 60, 61, 62],
+    170: [43, 44, 45, 46, 60, 61, 62],
+    180: [42, 43, 44, 45, 61, 62, 63],
+    190: [41, 42, 43, 61, 62, 63],
+    200: [39, 40, 41, 42, 62, 63],
+    210: [38, 39, 40, 41, 62, 63],
+    220: [37, 38, 39, 40, 62, 63, 64],
+    230: [36, 37, 38, 39, 63, 64],
+    240: [35, 36, 37, 38, 63, 64],
+    250: [34, 35, 36, 37, 63, 64],
+    260: [33, 34, 35, 36, 63, 64],
+    270: [32, 33, 34, 35, 63, 64, 65],
+    280: [31, 32, 33, 34, 64, 65],
+    290: [30, 31, 32, 33, 64, 65],
+    300: [29, 30, 31, 32, 64, 65],
+    310: [28, 29, 30, 31, 64, 65],
+    320: [27, 28, 29, 30, 64, 65],
+    330: [26, 27, 28, 29, 65],
+    340: [25, 26, 27, 28, 65, 66],
+    350: [24, 25, 26, 65, 66],
+    360: [23, 24, 25, 65, 66],
+    370: [22, 23, 24, 65, 66],
+    380: [20, 21, 22, 23, 65, 66],
+    390: [19, 20, 21, 22, 65, 66],
+    400: [18, 19, 20, 21, 65, 66],
+    410: [17, 18, 19, 20, 66],
+    420: [16, 17, 18, 19, 66],
+    430: [15, 16, 17, 18, 66],
+    440: [14, 15, 16, 17, 66, 67],
+    450: [13, 14, 15, 16, 66, 67],
+    460: [12, 13, 14, 15, 66, 67],
+    470: [11, 12, 13, 14, 66, 67],
+    480: [11, 12, 13, 66, 67],
+    490: [11, 12]
+  },
+  710: {
+    90: [55],
+    100: [52, 53, 54, 55, 56, 57, 58],
+    110: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    120: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    130: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    140: [46, 47, 48, 49, 50, 51, 57, 58, 59, 60, 61],
+    150: [45, 46, 47, 48, 49, 58, 59, 60, 61],
+    160: [44, 45, 46, 47, 59, 60, 61],
+    170: [43, 44, 45, 46, 60, 61, 62],
+    180: [42, 43, 44, 45, 60, 61, 62],
+    190: [41, 42, 43, 44, 61, 62],
+    200: [40, 41, 42, 43, 61, 62, 63],
+    210: [38, 39, 40, 41, 61, 62, 63],
+    220: [37, 38, 39, 40, 62, 63],
+    230: [36, 37, 38, 39, 62, 63],
+    240: [35, 36, 37, 38, 62, 63],
+    250: [34, 35, 36, 37, 62, 63, 64],
+    260: [33, 34, 35, 36, 63, 64],
+    270: [32, 33, 34, 35, 63, 64],
+    280: [31, 32, 33, 34, 63, 64],
+    290: [30, 31, 32, 33, 63, 64],
+    300: [29, 30, 31, 32, 63, 64],
+    310: [28, 29, 30, 31, 64, 65],
+    320: [27, 28, 29, 30, 64, 65],
+    330: [26, 27, 28, 29, 64, 65],
+    340: [25, 26, 27, 28, 64, 65],
+    350: [24, 25, 26, 27, 64, 65],
+    360: [23, 24, 25, 26, 64, 65],
+    370: [22, 23, 24, 25, 64, 65],
+    380: [21, 22, 23, 65],
+    390: [20, 21, 22, 65, 66],
+    400: [19, 20, 21, 65, 66],
+    410: [18, 19, 20, 65, 66],
+    420: [17, 18, 19, 65, 66],
+    430: [16, 17, 18, 65, 66],
+    440: [14, 15, 16, 17, 65, 66],
+    450: [13, 14, 15, 16, 65, 66],
+    460: [12, 13, 14, 15, 66],
+    470: [12, 13, 14, 66],
+    480: [11, 12, 13, 66],
+    490: [12, 66]
+  },
+  720: {
+    100: [53, 54, 55, 56],
+    110: [51, 52, 53, 54, 55, 56, 57, 58],
+    120: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    130: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    140: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
+    150: [45, 46, 47, 48, 49, 50, 57, 58, 59, 60],
+    160: [44, 45, 46, 47, 48, 58, 59, 60, 61],
+    170: [43, 44, 45, 46, 59, 60, 61],
+    180: [42, 43, 44, 45, 59, 60, 61],
+    190: [41, 42, 43, 44, 60, 61, 62],
+    200: [40, 41, 42, 43, 60, 61, 62],
+    210: [39, 40, 41, 42, 61, 62],
+    220: [38, 39, 40, 61, 62],
+    230: [37, 38, 39, 61, 62, 63],
+    240: [35, 36, 37, 38, 61, 62, 63],
+    250: [34, 35, 36, 37, 62, 63],
+    260: [33, 34, 35, 36, 62, 63],
+    270: [32, 33, 34, 35, 62, 63],
+    280: [31, 32, 33, 34, 62, 63, 64],
+    290: [30, 31, 32, 33, 63, 64],
+    300: [29, 30, 31, 32, 63, 64],
+    310: [28, 29, 30, 31, 63, 64],
+    320: [27, 28, 29, 30, 63, 64],
+    330: [26, 27, 28, 29, 63, 64],
+    340: [25, 26, 27, 28, 64, 65],
+    350: [24, 25, 26, 27, 64, 65],
+    360: [23, 24, 25, 26, 64, 65],
+    370: [22, 23, 24, 25, 64, 65],
+    380: [21, 22, 23, 24, 64, 65],
+    390: [20, 21, 22, 23, 64, 65],
+    400: [19, 20, 21, 22, 64, 65],
+    410: [18, 19, 20, 21, 64, 65],
+    420: [17, 18, 19, 20, 65],
+    430: [16, 17, 18, 19, 65, 66],
+    440: [15, 16, 17, 65, 66],
+    450: [14, 15, 16, 65, 66],
+    460: [13, 14, 15, 65, 66],
+    470: [12, 13, 14, 65, 66],
+    480: [12, 13, 65, 66],
+    490: [12, 65]
+  },
+  730: {
+    110: [52, 53, 54, 55, 56],
+    120: [50, 51, 52, 53, 54, 55, 56, 57],
+    130: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    140: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    150: [46, 47, 48, 49, 50, 51, 55, 56, 57, 58, 59],
+    160: [44, 45, 46, 47, 48, 49, 57, 58, 59, 60],
+    170: [43, 44, 45, 46, 47, 58, 59, 60],
+    180: [42, 43, 44, 45, 58, 59, 60, 61],
+    190: [41, 42, 43, 44, 59, 60, 61],
+    200: [40, 41, 42, 43, 59, 60, 61],
+    210: [39, 40, 41, 42, 60, 61, 62],
+    220: [38, 39, 40, 41, 60, 61, 62],
+    230: [37, 38, 39, 40, 60, 61, 62],
+    240: [36, 37, 38, 61, 62],
+    250: [35, 36, 37, 61, 62],
+    260: [34, 35, 36, 61, 62, 63],
+    270: [33, 34, 35, 62, 63],
+    280: [31, 32, 33, 34, 62, 63],
+    290: [30, 31, 32, 33, 62, 63],
+    300: [29, 30, 31, 32, 62, 63],
+    310: [28, 29, 30, 31, 62, 63, 64],
+    320: [27, 28, 29, 30, 63, 64],
+    330: [26, 27, 28, 29, 63, 64],
+    340: [25, 26, 27, 28, 63, 64],
+    350: [24, 25, 26, 27, 63, 64],
+    360: [23, 24, 25, 26, 63, 64],
+    370: [22, 23, 24, 25, 63, 64],
+    380: [21, 22, 23, 24, 64],
+    390: [20, 21, 22, 23, 64, 65],
+    400: [19, 20, 21, 22, 64, 65],
+    410: [18, 19, 20, 21, 64, 65],
+    420: [17, 18, 19, 20, 64, 65],
+    430: [16, 17, 18, 19, 64, 65],
+    440: [15, 16, 17, 18, 64, 65],
+    450: [14, 15, 16, 17, 64, 65],
+    460: [13, 14, 15, 16, 65],
+    470: [12, 13, 14, 15, 65],
+    480: [12, 13, 14, 65],
+    490: [12, 13, 65],
+    500: [65]
+  },
+  740: {
+    120: [51, 52, 53, 54, 55, 56],
+    130: [49, 50, 51, 52, 53, 54, 55, 56, 57],
+    140: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    150: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
+    160: [45, 46, 47, 48, 49, 50, 55, 56, 57, 58, 59],
+    170: [43, 44, 45, 46, 47, 48, 56, 57, 58, 59, 60],
+    180: [42, 43, 44, 45, 46, 57, 58, 59, 60],
+    190: [41, 42, 43, 44, 45, 58, 59, 60],
+    200: [40, 41, 42, 43, 59, 60, 61],
+    210: [39, 40, 41, 42, 59, 60, 61],
+    220: [38, 39, 40, 41, 59, 60, 61],
+    230: [37, 38, 39, 40, 60, 61],
+    240: [36, 37, 38, 39, 60, 61, 62],
+    250: [35, 36, 37, 60, 61, 62],
+    260: [34, 35, 36, 61, 62],
+    270: [33, 34, 35, 61, 62],
+    280: [32, 33, 34, 61, 62],
+    290: [31, 32, 33, 61, 62, 63],
+    300: [30, 31, 32, 62, 63],
+    310: [29, 30, 31, 62, 63],
+    320: [27, 28, 29, 30, 62, 63],
+    330: [26, 27, 28, 29, 62, 63],
+    340: [25, 26, 27, 28, 62, 63],
+    350: [25, 26, 27, 63, 64],
+    360: [23, 24, 25, 26, 63, 64],
+    370: [22, 23, 24, 25, 63, 64],
+    380: [21, 22, 23, 24, 63, 64],
+    390: [20, 21, 22, 23, 63, 64],
+    400: [19, 20, 21, 22, 63, 64],
+    410: [18, 19, 20, 21, 63, 64],
+    420: [17, 18, 19, 20, 64],
+    430: [16, 17, 18, 19, 64, 65],
+    440: [15, 16, 17, 18, 64, 65],
+    450: [14, 15, 16, 17, 64, 65],
+    460: [13, 14, 15, 16, 64, 65],
+    470: [13, 14, 15, 64, 65],
+    480: [13, 14, 64, 65],
+    490: [13, 64, 65]
+  },
+  750: {
+    120: [52, 53, 54],
+    130: [50, 51, 52, 53, 54, 55, 56],
+    140: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    150: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    160: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    170: [44, 45, 46, 47, 48, 49, 55, 56, 57, 58, 59],
+    180: [43, 44, 45, 46, 47, 56, 57, 58, 59],
+    190: [41, 42, 43, 44, 45, 57, 58, 59, 60],
+    200: [40, 41, 42, 43, 44, 58, 59, 60],
+    210: [39, 40, 41, 42, 58, 59, 60],
+    220: [38, 39, 40, 41, 59, 60, 61],
+    230: [37, 38, 39, 40, 59, 60, 61],
+    240: [36, 37, 38, 39, 59, 60, 61],
+    250: [35, 36, 37, 38, 60, 61],
+    260: [34, 35, 36, 37, 60, 61],
+    270: [33, 34, 35, 36, 60, 61, 62],
+    280: [32, 33, 34, 35, 61, 62],
+    290: [31, 32, 33, 61, 62],
+    300: [30, 31, 32, 61, 62],
+    310: [29, 30, 31, 61, 62],
+    320: [28, 29, 30, 61, 62, 63],
+    330: [27, 28, 29, 62, 63],
+    340: [26, 27, 28, 62, 63],
+    350: [25, 26, 27, 62, 63],
+    360: [24, 25, 26, 62, 63],
+    370: [23, 24, 25, 62, 63],
+    380: [22, 23, 24, 62, 63],
+    390: [21, 22, 23, 63, 64],
+    400: [20, 21, 22, 63, 64],
+    410: [19, 20, 21, 63, 64],
+    420: [18, 19, 20, 63, 64],
+    430: [17, 18, 19, 63, 64],
+    440: [16, 17, 18, 63, 64],
+    450: [15, 16, 17, 63, 64],
+    460: [14, 15, 16, 64],
+    470: [13, 14, 15, 64],
+    480: [13, 14, 64, 65],
+    490: [13, 64]
+  },
+  760: {
+    130: [51, 52, 53, 54],
+    140: [49, 50, 51, 52, 53, 54, 55, 56],
+    150: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    160: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    170: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
+    180: [43, 44, 45, 46, 47, 48, 55, 56, 57, 58],
+    190: [42, 43, 44, 45, 46, 56, 57, 58, 59],
+    200: [41, 42, 43, 44, 57, 58, 59],
+    210: [39, 40, 41, 42, 43, 57, 58, 59],
+    220: [38, 39, 40, 41, 42, 58, 59, 60],
+    230: [37, 38, 39, 40, 58, 59, 60],
+    240: [36, 37, 38, 39, 59, 60],
+    250: [35, 36, 37, 38, 59, 60, 61],
+    260: [34, 35, 36, 37, 59, 60, 61],
+    270: [33, 34, 35, 36, 60, 61],
+    280: [32, 33, 34, 35, 60, 61],
+    290: [31, 32, 33, 34, 60, 61],
+    300: [30, 31, 32, 33, 60, 61, 62],
+    310: [29, 30, 31, 32, 61, 62],
+    320: [28, 29, 30, 31, 61, 62],
+    330: [27, 28, 29, 30, 61, 62],
+    340: [26, 27, 28, 29, 61, 62],
+    350: [25, 26, 27, 61, 62, 63],
+    360: [24, 25, 26, 27, 62, 63],
+    370: [23, 24, 25, 62, 63],
+    380: [22, 23, 24, 25, 62, 63],
+    390: [21, 22, 23, 24, 62, 63],
+    400: [20, 21, 22, 62, 63],
+    410: [19, 20, 21, 22, 62, 63],
+    420: [18, 19, 20, 63],
+    430: [17, 18, 19, 20, 63, 64],
+    440: [16, 17, 18, 19, 63, 64],
+    450: [15, 16, 17, 18, 63, 64],
+    460: [14, 15, 16, 17, 63, 64],
+    470: [13, 14, 15, 16, 63, 64],
+    480: [13, 14, 15, 63, 64],
+    490: [13, 14, 63, 64],
+    500: [13]
+  },
+  770: {
+    140: [50, 51, 52, 53, 54],
+    150: [48, 49, 50, 51, 52, 53, 54, 55],
+    160: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    170: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    180: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    190: [42, 43, 44, 45, 46, 47, 54, 55, 56, 57, 58],
+    200: [41, 42, 43, 44, 45, 55, 56, 57, 58],
+    210: [40, 41, 42, 43, 56, 57, 58, 59],
+    220: [39, 40, 41, 42, 57, 58, 59],
+    230: [37, 38, 39, 40, 41, 57, 58, 59],
+    240: [36, 37, 38, 39, 58, 59, 60],
+    250: [35, 36, 37, 38, 58, 59, 60],
+    260: [34, 35, 36, 37, 59, 60],
+    270: [33, 34, 35, 36, 59, 60],
+    280: [32, 33, 34, 35, 59, 60, 61],
+    290: [31, 32, 33, 34, 59, 60, 61],
+    300: [30, 31, 32, 33, 60, 61],
+    310: [29, 30, 31, 32, 60, 61],
+    320: [28, 29, 30, 31, 60, 61],
+    330: [27, 28, 29, 30, 60, 61, 62],
+    340: [26, 27, 28, 29, 61, 62],
+    350: [25, 26, 27, 28, 61, 62],
+    360: [24, 25, 26, 27, 61, 62],
+    370: [23, 24, 25, 26, 61, 62],
+    380: [22, 23, 24, 25, 61, 62],
+    390: [21, 22, 23, 24, 62, 63],
+    400: [20, 21, 22, 23, 62, 63],
+    410: [19, 20, 21, 22, 62, 63],
+    420: [18, 19, 20, 21, 62, 63],
+    430: [17, 18, 19, 20, 62, 63],
+    440: [16, 17, 18, 19, 62, 63],
+    450: [15, 16, 17, 18, 62, 63],
+    460: [14, 15, 16, 17, 63],
+    470: [13, 14, 15, 16, 63],
+    480: [13, 14, 15, 63, 64],
+    490: [13, 14, 63]
+  },
+  780: {
+    150: [49, 50, 51, 52, 53, 54],
+    160: [47, 48, 49, 50, 51, 52, 53, 54, 55],
+    170: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    180: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    190: [42, 43, 44, 45, 46, 47, 48, 52, 53, 54, 55, 56, 57],
+    200: [41, 42, 43, 44, 45, 46, 54, 55, 56, 57, 58],
+    210: [40, 41, 42, 43, 44, 55, 56, 57, 58],
+    220: [39, 40, 41, 42, 56, 57, 58],
+    230: [38, 39, 40, 41, 56, 57, 58, 59],
+    240: [37, 38, 39, 40, 57, 58, 59],
+    250: [36, 37, 38, 39, 57, 58, 59],
+    260: [35, 36, 37, 38, 58, 59, 60],
+    270: [33, 34, 35, 36, 58, 59, 60],
+    280: [32, 33, 34, 35, 59, 60],
+    290: [31, 32, 33, 34, 59, 60],
+    300: [30, 31, 32, 33, 59, 60],
+    310: [29, 30, 31, 32, 59, 60, 61],
+    320: [28, 29, 30, 31, 60, 61],
+    330: [27, 28, 29, 30, 60, 61],
+    340: [26, 27, 28, 29, 60, 61],
+    350: [25, 26, 27, 28, 60, 61],
+    360: [24, 25, 26, 27, 60, 61, 62],
+    370: [23, 24, 25, 26, 61, 62],
+    380: [22, 23, 24, 25, 61, 62],
+    390: [21, 22, 23, 24, 61, 62],
+    400: [20, 21, 22, 23, 61, 62],
+    410: [19, 20, 21, 22, 61, 62],
+    420: [19, 20, 21, 61, 62],
+    430: [17, 18, 19, 20, 62, 63],
+    440: [17, 18, 19, 62, 63],
+    450: [16, 17, 18, 62, 63],
+    460: [15, 16, 17, 62, 63],
+    470: [14, 15, 16, 62, 63],
+    480: [14, 15, 62, 63],
+    490: [14, 62, 63]
+  },
+  790: {
+    160: [48, 49, 50, 51, 52, 53, 54],
+    170: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    180: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    190: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    200: [42, 43, 44, 45, 46, 47, 52, 53, 54, 55, 56, 57],
+    210: [40, 41, 42, 43, 44, 45, 54, 55, 56, 57],
+    220: [39, 40, 41, 42, 43, 55, 56, 57, 58],
+    230: [38, 39, 40, 41, 42, 55, 56, 57, 58],
+    240: [37, 38, 39, 40, 56, 57, 58],
+    250: [36, 37, 38, 39, 57, 58, 59],
+    260: [35, 36, 37, 38, 57, 58, 59],
+    270: [34, 35, 36, 37, 57, 58, 59],
+    280: [33, 34, 35, 36, 58, 59],
+    290: [32, 33, 34, 35, 58, 59, 60],
+    300: [31, 32, 33, 58, 59, 60],
+    310: [30, 31, 32, 59, 60],
+    320: [29, 30, 31, 59, 60],
+    330: [28, 29, 30, 59, 60],
+    340: [27, 28, 29, 59, 60, 61],
+    350: [26, 27, 28, 60, 61],
+    360: [25, 26, 27, 60, 61],
+    370: [24, 25, 26, 60, 61],
+    380: [23, 24, 25, 60, 61],
+    390: [22, 23, 24, 60, 61],
+    400: [21, 22, 23, 61, 62],
+    410: [20, 21, 22, 61, 62],
+    420: [19, 20, 21, 61, 62],
+    430: [18, 19, 20, 61, 62],
+    440: [17, 18, 19, 61, 62],
+    450: [16, 17, 18, 61, 62],
+    460: [15, 16, 17, 18, 61, 62],
+    470: [14, 15, 16, 17, 62],
+    480: [14, 15, 16, 62, 63],
+    490: [14, 15, 62]
+  },
+  800: {
+    160: [49, 50, 51],
+    170: [47, 48, 49, 50, 51, 52, 53],
+    180: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    190: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    200: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
+    210: [41, 42, 43, 44, 45, 46, 52, 53, 54, 55, 56],
+    220: [40, 41, 42, 43, 44, 53, 54, 55, 56, 57],
+    230: [38, 39, 40, 41, 42, 54, 55, 56, 57],
+    240: [37, 38, 39, 40, 41, 55, 56, 57, 58],
+    250: [36, 37, 38, 39, 40, 56, 57, 58],
+    260: [35, 36, 37, 38, 56, 57, 58],
+    270: [34, 35, 36, 37, 57, 58, 59],
+    280: [33, 34, 35, 36, 57, 58, 59],
+    290: [32, 33, 34, 35, 57, 58, 59],
+    300: [31, 32, 33, 34, 58, 59],
+    310: [30, 31, 32, 33, 58, 59],
+    320: [29, 30, 31, 32, 58, 59, 60],
+    330: [28, 29, 30, 31, 59, 60],
+    340: [27, 28, 29, 30, 59, 60],
+    350: [26, 27, 28, 29, 59, 60],
+    360: [25, 26, 27, 28, 59, 60],
+    370: [24, 25, 26, 27, 59, 60, 61],
+    380: [23, 24, 25, 26, 60, 61],
+    390: [22, 23, 24, 25, 60, 61],
+    400: [21, 22, 23, 24, 60, 61],
+    410: [20, 21, 22, 23, 60, 61],
+    420: [19, 20, 21, 22, 60, 61],
+    430: [18, 19, 20, 21, 61],
+    440: [17, 18, 19, 20, 61, 62],
+    450: [16, 17, 18, 19, 61, 62],
+    460: [15, 16, 17, 18, 61, 62],
+    470: [15, 16, 17, 61, 62],
+    480: [15, 16, 61, 62],
+    490: [15, 61, 62]
+  },
+  810: {
+    170: [48, 49, 50, 51],
+    180: [46, 47, 48, 49, 50, 51, 52, 53],
+    190: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    200: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    210: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    220: [40, 41, 42, 43, 44, 45, 52, 53, 54, 55, 56],
+    230: [39, 40, 41, 42, 43, 53, 54, 55, 56],
+    240: [38, 39, 40, 41, 42, 54, 55, 56, 57],
+    250: [37, 38, 39, 40, 55, 56, 57],
+    260: [35, 36, 37, 38, 39, 55, 56, 57, 58],
+    270: [34, 35, 36, 37, 38, 56, 57, 58],
+    280: [33, 34, 35, 36, 56, 57, 58],
+    290: [32, 33, 34, 35, 57, 58],
+    300: [31, 32, 33, 34, 57, 58, 59],
+    310: [30, 31, 32, 33, 57, 58, 59],
+    320: [29, 30, 31, 32, 58, 59],
+    330: [28, 29, 30, 31, 58, 59],
+    340: [27, 28, 29, 30, 58, 59],
+    350: [26, 27, 28, 29, 58, 59, 60],
+    360: [25, 26, 27, 28, 59, 60],
+    370: [24, 25, 26, 27, 59, 60],
+    380: [23, 24, 25, 26, 59, 60],
+    390: [22, 23, 24, 25, 59, 60],
+    400: [21, 22, 23, 24, 59, 60, 61],
+    410: [20, 21, 22, 23, 60, 61],
+    420: [19, 20, 21, 22, 60, 61],
+    430: [18, 19, 20, 21, 60, 61],
+    440: [18, 19, 20, 60, 61],
+    450: [17, 18, 19, 60, 61],
+    460: [16, 17, 18, 60, 61],
+    470: [15, 16, 17, 60, 61],
+    480: [15, 16, 61, 62],
+    490: [15, 61],
+    500: [15]
+  },
+  820: {
+    180: [47, 48, 49, 50, 51],
+    190: [45, 46, 47, 48, 49, 50, 51, 52, 53],
+    200: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    210: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    220: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    230: [39, 40, 41, 42, 43, 44, 51, 52, 53, 54, 55, 56],
+    240: [38, 39, 40, 41, 42, 53, 54, 55, 56],
+    250: [37, 38, 39, 40, 41, 54, 55, 56],
+    260: [36, 37, 38, 39, 54, 55, 56, 57],
+    270: [35, 36, 37, 38, 55, 56, 57],
+    280: [34, 35, 36, 37, 55, 56, 57],
+    290: [33, 34, 35, 36, 56, 57, 58],
+    300: [32, 33, 34, 35, 56, 57, 58],
+    310: [31, 32, 33, 56, 57, 58],
+    320: [30, 31, 32, 57, 58],
+    330: [29, 30, 31, 57, 58, 59],
+    340: [28, 29, 30, 57, 58, 59],
+    350: [27, 28, 29, 58, 59],
+    360: [26, 27, 28, 58, 59],
+    370: [25, 26, 27, 58, 59],
+    380: [24, 25, 26, 58, 59, 60],
+    390: [23, 24, 25, 59, 60],
+    400: [22, 23, 24, 59, 60],
+    410: [21, 22, 23, 59, 60],
+    420: [20, 21, 22, 59, 60],
+    430: [19, 20, 21, 59, 60],
+    440: [18, 19, 20, 59, 60, 61],
+    450: [17, 18, 19, 20, 60, 61],
+    460: [16, 17, 18, 19, 60, 61],
+    470: [15, 16, 17, 18, 60, 61],
+    480: [15, 16, 17, 60, 61],
+    490: [15, 16, 60, 61],
+    500: [15]
+  },
+  830: {
+    190: [46, 47, 48, 49, 50, 51],
+    200: [44, 45, 46, 47, 48, 49, 50, 51, 52],
+    210: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    220: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    230: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
+    240: [39, 40, 41, 42, 43, 44, 51, 52, 53, 54, 55],
+    250: [37, 38, 39, 40, 41, 42, 52, 53, 54, 55, 56],
+    260: [36, 37, 38, 39, 40, 53, 54, 55, 56],
+    270: [35, 36, 37, 38, 39, 54, 55, 56],
+    280: [34, 35, 36, 37, 54, 55, 56, 57],
+    290: [33, 34, 35, 36, 55, 56, 57],
+    300: [32, 33, 34, 35, 55, 56, 57],
+    310: [31, 32, 33, 34, 56, 57, 58],
+    320: [30, 31, 32, 33, 56, 57, 58],
+    330: [29, 30, 31, 32, 56, 57, 58],
+    340: [28, 29, 30, 31, 57, 58],
+    350: [27, 28, 29, 30, 57, 58],
+    360: [26, 27, 28, 29, 57, 58, 59],
+    370: [25, 26, 27, 28, 58, 59],
+    380: [24, 25, 26, 27, 58, 59],
+    390: [23, 24, 25, 26, 58, 59],
+    400: [22, 23, 24, 25, 58, 59],
+    410: [21, 22, 23, 24, 58, 59, 60],
+    420: [20, 21, 22, 23, 59, 60],
+    430: [19, 20, 21, 22, 59, 60],
+    440: [18, 19, 20, 21, 59, 60],
+    450: [17, 18, 19, 20, 59, 60],
+    460: [16, 17, 18, 19, 59, 60],
+    470: [16, 17, 18, 59, 60],
+    480: [15, 16, 17, 60],
+    490: [15, 16, 60]
+  },
+  840: {
+    200: [46, 47, 48, 49, 50, 51],
+    210: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    220: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    230: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    240: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    250: [38, 39, 40, 41, 42, 43, 51, 52, 53, 54, 55],
+    260: [37, 38, 39, 40, 41, 52, 53, 54, 55],
+    270: [36, 37, 38, 39, 53, 54, 55, 56],
+    280: [34, 35, 36, 37, 38, 53, 54, 55, 56],
+    290: [33, 34, 35, 36, 37, 54, 55, 56],
+    300: [32, 33, 34, 35, 36, 54, 55, 56, 57],
+    310: [31, 32, 33, 34, 55, 56, 57],
+    320: [30, 31, 32, 33, 55, 56, 57],
+    330: [29, 30, 31, 32, 56, 57],
+    340: [28, 29, 30, 31, 56, 57, 58],
+    350: [27, 28, 29, 30, 56, 57, 58],
+    360: [26, 27, 28, 29, 57, 58],
+    370: [25, 26, 27, 28, 57, 58],
+    380: [24, 25, 26, 27, 57, 58],
+    390: [23, 24, 25, 26, 57, 58, 59],
+    400: [22, 23, 24, 25, 58, 59],
+    410: [21, 22, 23, 24, 58, 59],
+    420: [20, 21, 22, 23, 58, 59],
+    430: [20, 21, 22, 58, 59],
+    440: [19, 20, 21, 58, 59],
+    450: [18, 19, 20, 58, 59, 60],
+    460: [17, 18, 19, 59, 60],
+    470: [16, 17, 18, 59, 60],
+    480: [16, 17, 59, 60],
+    490: [16, 17, 59, 60],
+    500: [16]
+  },
+  850: {
+    210: [45, 46, 47, 48, 49, 50],
+    220: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    230: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    240: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    250: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
+    260: [37, 38, 39, 40, 41, 42, 50, 51, 52, 53, 54],
+    270: [36, 37, 38, 39, 40, 51, 52, 53, 54, 55],
+    280: [35, 36, 37, 38, 39, 52, 53, 54, 55],
+    290: [34, 35, 36, 37, 53, 54, 55],
+    300: [33, 34, 35, 36, 54, 55, 56],
+    310: [32, 33, 34, 35, 54, 55, 56],
+    320: [31, 32, 33, 34, 54, 55, 56],
+    330: [30, 31, 32, 33, 55, 56, 57],
+    340: [29, 30, 31, 32, 55, 56, 57],
+    350: [28, 29, 30, 31, 55, 56, 57],
+    360: [27, 28, 29, 56, 57],
+    370: [26, 27, 28, 56, 57, 58],
+    380: [25, 26, 27, 56, 57, 58],
+    390: [24, 25, 26, 57, 58],
+    400: [23, 24, 25, 57, 58],
+    410: [22, 23, 24, 57, 58],
+    420: [21, 22, 23, 24, 57, 58, 59],
+    430: [20, 21, 22, 23, 57, 58, 59],
+    440: [19, 20, 21, 22, 58, 59],
+    450: [18, 19, 20, 21, 58, 59],
+    460: [17, 18, 19, 20, 58, 59],
+    470: [16, 17, 18, 19, 58, 59],
+    480: [16, 17, 18, 58, 59],
+    490: [16, 17, 59]
+  },
+  860: {
+    220: [44, 45, 46, 47, 48, 49, 50],
+    230: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    240: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    250: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    260: [38, 39, 40, 41, 42, 43, 44, 45, 47, 48, 49, 50, 51, 52, 53],
+    270: [37, 38, 39, 40, 41, 42, 50, 51, 52, 53, 54],
+    280: [35, 36, 37, 38, 39, 40, 51, 52, 53, 54],
+    290: [34, 35, 36, 37, 38, 52, 53, 54, 55],
+    300: [33, 34, 35, 36, 37, 52, 53, 54, 55],
+    310: [32, 33, 34, 35, 36, 53, 54, 55],
+    320: [31, 32, 33, 34, 54, 55, 56],
+    330: [30, 31, 32, 33, 54, 55, 56],
+    340: [29, 30, 31, 32, 54, 55, 56],
+    350: [28, 29, 30, 31, 55, 56, 57],
+    360: [27, 28, 29, 30, 55, 56, 57],
+    370: [26, 27, 28, 29, 55, 56, 57],
+    380: [25, 26, 27, 28, 56, 57],
+    390: [24, 25, 26, 27, 56, 57],
+    400: [23, 24, 25, 26, 56, 57, 58],
+    410: [22, 23, 24, 25, 56, 57, 58],
+    420: [21, 22, 23, 24, 57, 58],
+    430: [20, 21, 22, 23, 57, 58],
+    440: [19, 20, 21, 22, 57, 58],
+    450: [19, 20, 21, 57, 58],
+    460: [18, 19, 20, 57, 58, 59],
+    470: [17, 18, 19, 58, 59],
+    480: [17, 18, 58, 59],
+    490: [17, 58, 59]
+  },
+  870: {
+    230: [43, 44, 45, 46, 47, 48, 49, 50],
+    240: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    250: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    260: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    270: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
+    280: [36, 37, 38, 39, 40, 41, 49, 50, 51, 52, 53],
+    290: [35, 36, 37, 38, 39, 51, 52, 53, 54],
+    300: [34, 35, 36, 37, 38, 51, 52, 53, 54],
+    310: [33, 34, 35, 36, 52, 53, 54, 55],
+    320: [31, 32, 33, 34, 35, 53, 54, 55],
+    330: [30, 31, 32, 33, 34, 53, 54, 55],
+    340: [29, 30, 31, 32, 33, 53, 54, 55, 56],
+    350: [28, 29, 30, 31, 32, 54, 55, 56],
+    360: [27, 28, 29, 30, 54, 55, 56],
+    370: [26, 27, 28, 29, 55, 56],
+    380: [25, 26, 27, 28, 55, 56, 57],
+    390: [25, 26, 27, 55, 56, 57],
+    400: [24, 25, 26, 55, 56, 57],
+    410: [23, 24, 25, 56, 57],
+    420: [22, 23, 24, 56, 57],
+    430: [21, 22, 23, 56, 57, 58],
+    440: [20, 21, 22, 56, 57, 58],
+    450: [19, 20, 21, 57, 58],
+    460: [18, 19, 20, 21, 57, 58],
+    470: [17, 18, 19, 20, 57, 58],
+    480: [17, 18, 19, 57, 58],
+    490: [17, 18, 57, 58]
+  },
+  880: {
+    230: [46],
+    240: [43, 44, 45, 46, 47, 48, 49],
+    250: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    260: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    270: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    280: [37, 38, 39, 40, 41, 42, 43, 44, 46, 47, 48, 49, 50, 51, 52],
+    290: [35, 36, 37, 38, 39, 40, 49, 50, 51, 52, 53],
+    300: [34, 35, 36, 37, 38, 39, 50, 51, 52, 53],
+    310: [33, 34, 35, 36, 37, 51, 52, 53, 54],
+    320: [32, 33, 34, 35, 36, 52, 53, 54],
+    330: [31, 32, 33, 34, 52, 53, 54, 55],
+    340: [30, 31, 32, 33, 53, 54, 55],
+    350: [29, 30, 31, 32, 53, 54, 55],
+    360: [28, 29, 30, 31, 53, 54, 55],
+    370: [27, 28, 29, 30, 54, 55, 56],
+    380: [26, 27, 28, 29, 54, 55, 56],
+    390: [25, 26, 27, 28, 55, 56],
+    400: [24, 25, 26, 27, 55, 56],
+    410: [23, 24, 25, 26, 55, 56, 57],
+    420: [22, 23, 24, 25, 55, 56, 57],
+    430: [21, 22, 23, 24, 56, 57],
+    440: [20, 21, 22, 23, 56, 57],
+    450: [19, 20, 21, 22, 56, 57],
+    460: [19, 20, 21, 56, 57],
+    470: [18, 19, 20, 56, 57, 58],
+    480: [18, 19, 57, 58],
+    490: [18, 57, 58]
+  },
+  890: {
+    240: [45, 46],
+    250: [42, 43, 44, 45, 46, 47, 48, 49],
+    260: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    270: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    280: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    290: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
+    300: [35, 36, 37, 38, 39, 40, 48, 49, 50, 51, 52],
+    310: [34, 35, 36, 37, 38, 49, 50, 51, 52, 53],
+    320: [33, 34, 35, 36, 37, 50, 51, 52, 53],
+    330: [31, 32, 33, 34, 35, 51, 52, 53, 54],
+    340: [30, 31, 32, 33, 34, 52, 53, 54],
+    350: [29, 30, 31, 32, 33, 52, 53, 54],
+    360: [28, 29, 30, 31, 32, 53, 54, 55],
+    370: [27, 28, 29, 30, 53, 54, 55],
+    380: [26, 27, 28, 29, 53, 54, 55],
+    390: [25, 26, 27, 28, 54, 55],
+    400: [24, 25, 26, 27, 54, 55, 56],
+    410: [24, 25, 26, 54, 55, 56],
+    420: [23, 24, 25, 55, 56],
+    430: [22, 23, 24, 55, 56],
+    440: [21, 22, 23, 55, 56, 57],
+    450: [20, 21, 22, 55, 56, 57],
+    460: [19, 20, 21, 56, 57],
+    470: [18, 19, 20, 21, 56, 57],
+    480: [18, 19, 20, 56, 57],
+    490: [18, 19, 56, 57]
+  },
+  900: {
+    250: [45, 46],
+    260: [41, 42, 43, 44, 45, 46, 47, 48],
+    270: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    280: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    290: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    300: [36, 37, 38, 39, 40, 41, 42, 43, 45, 46, 47, 48, 49, 50, 51, 52],
+    310: [34, 35, 36, 37, 38, 39, 48, 49, 50, 51, 52],
+    320: [33, 34, 35, 36, 37, 38, 49, 50, 51, 52],
+    330: [32, 33, 34, 35, 36, 50, 51, 52, 53],
+    340: [31, 32, 33, 34, 35, 51, 52, 53],
+    350: [30, 31, 32, 33, 51, 52, 53, 54],
+    360: [29, 30, 31, 32, 52, 53, 54],
+    370: [28, 29, 30, 31, 52, 53, 54],
+    380: [27, 28, 29, 30, 53, 54, 55],
+    390: [26, 27, 28, 29, 53, 54, 55],
+    400: [25, 26, 27, 28, 53, 54, 55],
+    410: [24, 25, 26, 27, 54, 55],
+    420: [23, 24, 25, 26, 54, 55, 56],
+    430: [22, 23, 24, 25, 54, 55, 56],
+    440: [21, 22, 23, 24, 54, 55, 56],
+    450: [20, 21, 22, 23, 55, 56],
+    460: [19, 20, 21, 22, 55, 56],
+    470: [19, 20, 21, 55, 56],
+    480: [19, 20, 55, 56, 57],
+    490: [19, 56, 57],
+    500: [56]
+  },
+  910: {
+    260: [44, 45],
+    270: [41, 42, 43, 44, 45, 46, 47, 48],
+    280: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    290: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    300: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    310: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    320: [34, 35, 36, 37, 38, 39, 47, 48, 49, 50, 51, 52],
+    330: [33, 34, 35, 36, 37, 48, 49, 50, 51, 52],
+    340: [31, 32, 33, 34, 35, 36, 49, 50, 51, 52],
+    350: [30, 31, 32, 33, 34, 50, 51, 52, 53],
+    360: [29, 30, 31, 32, 33, 51, 52, 53],
+    370: [28, 29, 30, 31, 32, 51, 52, 53, 54],
+    380: [27, 28, 29, 30, 31, 52, 53, 54],
+    390: [26, 27, 28, 29, 52, 53, 54],
+    400: [25, 26, 27, 28, 52, 53, 54],
+    410: [24, 25, 26, 27, 53, 54, 55],
+    420: [23, 24, 25, 26, 53, 54, 55],
+    430: [23, 24, 25, 53, 54, 55],
+    440: [22, 23, 24, 54, 55],
+    450: [21, 22, 23, 54, 55],
+    460: [20, 21, 22, 23, 54, 55, 56],
+    470: [19, 20, 21, 22, 54, 55, 56],
+    480: [19, 20, 21, 55, 56],
+    490: [19, 20, 55, 56],
+    500: [19]
+  },
+  920: {
+    270: [44],
+    280: [40, 41, 42, 43, 44, 45, 46, 47],
+    290: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    300: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    310: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    320: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+    330: [33, 34, 35, 36, 37, 38, 39, 47, 48, 49, 50, 51],
+    340: [32, 33, 34, 35, 36, 37, 48, 49, 50, 51, 52],
+    350: [31, 32, 33, 34, 35, 49, 50, 51, 52],
+    360: [30, 31, 32, 33, 34, 50, 51, 52],
+    370: [29, 30, 31, 32, 50, 51, 52, 53],
+    380: [28, 29, 30, 31, 51, 52, 53],
+    390: [27, 28, 29, 30, 51, 52, 53],
+    400: [26, 27, 28, 29, 52, 53, 54],
+    410: [25, 26, 27, 28, 52, 53, 54],
+    420: [24, 25, 26, 27, 52, 53, 54],
+    430: [23, 24, 25, 26, 53, 54],
+    440: [22, 23, 24, 25, 53, 54, 55],
+    450: [21, 22, 23, 24, 53, 54, 55],
+    460: [20, 21, 22, 23, 53, 54, 55],
+    470: [19, 20, 21, 22, 54, 55],
+    480: [19, 20, 21, 54, 55],
+    490: [19, 20, 54, 55]
+  },
+  930: {
+    280: [44],
+    290: [40, 41, 42, 43, 44, 45, 46, 47],
+    300: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    310: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    320: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    330: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    340: [33, 34, 35, 36, 37, 38, 46, 47, 48, 49, 50, 51],
+    350: [32, 33, 34, 35, 36, 47, 48, 49, 50, 51],
+    360: [31, 32, 33, 34, 35, 48, 49, 50, 51, 52],
+    370: [29, 30, 31, 32, 33, 49, 50, 51, 52],
+    380: [28, 29, 30, 31, 32, 50, 51, 52],
+    390: [27, 28, 29, 30, 31, 50, 51, 52, 53],
+    400: [26, 27, 28, 29, 30, 51, 52, 53],
+    410: [25, 26, 27, 28, 29, 51, 52, 53],
+    420: [24, 25, 26, 27, 28, 51, 52, 53],
+    430: [24, 25, 26, 52, 53, 54],
+    440: [23, 24, 25, 26, 52, 53, 54],
+    450: [22, 23, 24, 25, 52, 53, 54],
+    460: [21, 22, 23, 24, 53, 54],
+    470: [20, 21, 22, 23, 53, 54, 55],
+    480: [20, 21, 22, 53, 54, 55],
+    490: [20, 21, 54]
+  },
+  940: {
+    300: [40, 41, 42, 43, 44, 45, 46],
+    310: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    320: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    330: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    340: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+    350: [32, 33, 34, 35, 36, 37, 38, 45, 46, 47, 48, 49, 50],
+    360: [31, 32, 33, 34, 35, 36, 47, 48, 49, 50, 51],
+    370: [30, 31, 32, 33, 34, 48, 49, 50, 51],
+    380: [29, 30, 31, 32, 33, 48, 49, 50, 51],
+    390: [28, 29, 30, 31, 32, 49, 50, 51, 52],
+    400: [27, 28, 29, 30, 31, 50, 51, 52],
+    410: [26, 27, 28, 29, 50, 51, 52],
+    420: [25, 26, 27, 28, 51, 52, 53],
+    430: [24, 25, 26, 27, 51, 52, 53],
+    440: [23, 24, 25, 26, 51, 52, 53],
+    450: [22, 23, 24, 25, 52, 53],
+    460: [21, 22, 23, 24, 52, 53, 54],
+    470: [20, 21, 22, 23, 52, 53, 54],
+    480: [20, 21, 22, 53, 54],
+    490: [20, 21, 53, 54]
+  },
+  950: {
+    310: [39, 40, 41, 42, 43, 44, 45],
+    320: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    330: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    340: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    350: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    360: [32, 33, 34, 35, 36, 37, 38, 45, 46, 47, 48, 49, 50],
+    370: [31, 32, 33, 34, 35, 36, 46, 47, 48, 49, 50],
+    380: [30, 31, 32, 33, 34, 47, 48, 49, 50, 51],
+    390: [29, 30, 31, 32, 33, 48, 49, 50, 51],
+    400: [28, 29, 30, 31, 49, 50, 51],
+    410: [27, 28, 29, 30, 49, 50, 51, 52],
+    420: [26, 27, 28, 29, 50, 51, 52],
+    430: [25, 26, 27, 28, 50, 51, 52],
+    440: [24, 25, 26, 27, 50, 51, 52, 53],
+    450: [23, 24, 25, 26, 51, 52, 53],
+    460: [22, 23, 24, 25, 51, 52, 53],
+    470: [21, 22, 23, 24, 51, 52, 53],
+    480: [21, 22, 23, 52, 53],
+    490: [21, 22, 52, 53]
+  },
+  960: {
+    320: [39, 40, 41, 42, 43, 44, 45],
+    330: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    340: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    350: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    360: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
+    370: [32, 33, 34, 35, 36, 37, 38, 44, 45, 46, 47, 48, 49],
+    380: [30, 31, 32, 33, 34, 35, 45, 46, 47, 48, 49, 50],
+    390: [29, 30, 31, 32, 33, 34, 47, 48, 49, 50],
+    400: [28, 29, 30, 31, 32, 47, 48, 49, 50],
+    410: [27, 28, 29, 30, 31, 48, 49, 50, 51],
+    420: [26, 27, 28, 29, 30, 49, 50, 51],
+    430: [25, 26, 27, 28, 29, 49, 50, 51],
+    440: [24, 25, 26, 27, 50, 51, 52],
+    450: [23, 24, 25, 26, 50, 51, 52],
+    460: [22, 23, 24, 25, 50, 51, 52],
+    470: [22, 23, 24, 51, 52, 53],
+    480: [21, 22, 23, 51, 52, 53],
+    490: [22, 23, 52],
+    500: [52]
+  },
+  970: {
+    330: [39, 40, 41, 42, 43, 44],
+    340: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    350: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    360: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    370: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
+    380: [31, 32, 33, 34, 35, 36, 37, 38, 43, 44, 45, 46, 47, 48, 49],
+    390: [30, 31, 32, 33, 34, 35, 45, 46, 47, 48, 49],
+    400: [29, 30, 31, 32, 33, 34, 46, 47, 48, 49, 50],
+    410: [28, 29, 30, 31, 32, 47, 48, 49, 50],
+    420: [27, 28, 29, 30, 31, 47, 48, 49, 50],
+    430: [26, 27, 28, 29, 48, 49, 50, 51],
+    440: [25, 26, 27, 28, 49, 50, 51],
+    450: [24, 25, 26, 27, 49, 50, 51],
+    460: [23, 24, 25, 26, 49, 50, 51, 52],
+    470: [22, 23, 24, 25, 50, 51, 52],
+    480: [22, 23, 24, 50, 51, 52],
+    490: [22, 23, 51, 52]
+  },
+  980: {
+    340: [39, 40, 41, 42, 43],
+    350: [37, 38, 39, 40, 41, 42, 43, 44, 45],
+    360: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    370: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    380: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    390: [31, 32, 33, 34, 35, 36, 37, 38, 42, 43, 44, 45, 46, 47, 48],
+    400: [30, 31, 32, 33, 34, 35, 44, 45, 46, 47, 48, 49],
+    410: [29, 30, 31, 32, 33, 45, 46, 47, 48, 49],
+    420: [28, 29, 30, 31, 32, 46, 47, 48, 49],
+    430: [27, 28, 29, 30, 47, 48, 49, 50],
+    440: [26, 27, 28, 29, 48, 49, 50],
+    450: [25, 26, 27, 28, 48, 49, 50],
+    460: [24, 25, 26, 27, 48, 49, 50, 51],
+    470: [23, 24, 25, 26, 49, 50, 51],
+    480: [23, 24, 25, 49, 50, 51],
+    490: [23, 24, 50]
+  },
+  990: {
+    350: [39, 40, 41, 42, 43],
+    360: [36, 37, 38, 39, 40, 41, 42, 43, 44],
+    370: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    380: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    390: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    400: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    410: [29, 30, 31, 32, 33, 34, 35, 43, 44, 45, 46, 47, 48],
+    420: [28, 29, 30, 31, 32, 33, 45, 46, 47, 48, 49],
+    430: [27, 28, 29, 30, 31, 32, 45, 46, 47, 48, 49],
+    440: [26, 27, 28, 29, 30, 46, 47, 48, 49],
+    450: [25, 26, 27, 28, 29, 47, 48, 49, 50],
+    460: [24, 25, 26, 27, 28, 47, 48, 49, 50],
+    470: [24, 25, 26, 27, 48, 49, 50],
+    480: [24, 25, 26, 48, 49, 50],
+    490: [24, 25, 49, 50],
+    500: [24]
+  },
+  1000: {
+    360: [39, 40, 41],
+    370: [36, 37, 38, 39, 40, 41, 42, 43, 44],
+    380: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    390: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    400: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    410: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
+    420: [29, 30, 31, 32, 33, 34, 35, 42, 43, 44, 45, 46, 47],
+    430: [28, 29, 30, 31, 32, 33, 44, 45, 46, 47, 48],
+    440: [27, 28, 29, 30, 31, 32, 45, 46, 47, 48],
+    450: [26, 27, 28, 29, 30, 46, 47, 48, 49],
+    460: [25, 26, 27, 28, 29, 46, 47, 48, 49],
+    470: [24, 25, 26, 27, 28, 47, 48, 49, 50],
+    480: [24, 25, 26, 27, 47, 48, 49, 50],
+    490: [24, 25, 48, 49],
+    500: [24, 49]
+  },
+  1010: {
+    370: [40],
+    380: [36, 37, 38, 39, 40, 41, 42, 43],
+    390: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    400: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    410: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    420: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    430: [29, 30, 31, 32, 33, 34, 35, 36, 41, 42, 43, 44, 45, 46, 47],
+    440: [28, 29, 30, 31, 32, 33, 43, 44, 45, 46, 47],
+    450: [27, 28, 29, 30, 31, 44, 45, 46, 47, 48],
+    460: [26, 27, 28, 29, 30, 45, 46, 47, 48],
+    470: [25, 26, 27, 28, 29, 46, 47, 48, 49],
+    480: [24, 25, 26, 27, 46, 47, 48, 49],
+    490: [24, 25, 26, 47, 48, 49],
+    500: [25]
+  },
+  1020: {
+    390: [36, 37, 38, 39, 40, 41, 42],
+    400: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    410: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    420: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    430: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    440: [29, 30, 31, 32, 33, 34, 35, 36, 40, 41, 42, 43, 44, 45, 46],
+    450: [28, 29, 30, 31, 32, 33, 42, 43, 44, 45, 46, 47],
+    460: [26, 27, 28, 29, 30, 31, 43, 44, 45, 46, 47],
+    470: [25, 26, 27, 28, 29, 30, 44, 45, 46, 47, 48],
+    480: [25, 26, 27, 28, 45, 46, 47, 48],
+    490: [25, 26, 27, 46, 47]
+  },
+  1030: {
+    400: [36, 37, 38, 39, 40, 41],
+    410: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    420: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    430: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    440: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    450: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
+    460: [27, 28, 29, 30, 31, 32, 33, 41, 42, 43, 44, 45, 46],
+    470: [26, 27, 28, 29, 30, 31, 43, 44, 45, 46, 47],
+    480: [26, 27, 28, 29, 30, 44, 45, 46, 47],
+    490: [26, 27, 28, 45, 46, 47]
+  },
+  1040: {
+    410: [37, 38, 39, 40],
+    420: [34, 35, 36, 37, 38, 39, 40, 41, 42],
+    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    440: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    450: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    460: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    470: [27, 28, 29, 30, 31, 32, 33, 34, 40, 41, 42, 43, 44, 45, 46],
+    480: [27, 28, 29, 30, 31, 42, 43, 44, 45, 46],
+    490: [27, 28, 29, 30, 43, 44, 45]
+  },
+  1050: {
+    420: [38, 39],
+    430: [34, 35, 36, 37, 38, 39, 40, 41],
+    440: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    450: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    460: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    470: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
+    480: [28, 29, 30, 31, 32, 33, 34, 39, 40, 41, 42, 43, 44, 45],
+    490: [28, 29, 30, 31, 41, 42, 43, 44, 45]
+  },
+  1060: {
+    440: [34, 35, 36, 37, 38, 39, 40],
+    450: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    460: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    470: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    480: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    490: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
+    500: [41]
+  },
+  1070: {
+    450: [35, 36, 37, 38, 39],
+    460: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
+    470: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    480: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
+    490: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
+    500: [33, 38]
+  },
+  1080: {
+    460: [36, 37],
+    470: [33, 34, 35, 36, 37, 38, 39, 40],
+    480: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
+    490: [32, 33, 35, 36, 37, 38, 40, 41],
+    500: [38]
+  },
+  1090: {
+    480: [36, 37, 38],
+    490: [38]
+  }
+};
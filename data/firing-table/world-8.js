@@ -1,4689 +0,0 @@
-// Firing Table Data for World 8
-// Generated on 2025-08-05T00:06:32.538Z
-export default {
-  0: {
-    0: [96, 100, 101, 102],
-    10: [96, 101, 102],
-    20: [96, 101, 102],
-    30: [96, 102, 103],
-    40: [96, 102, 103],
-    50: [96, 102, 103, 104],
-    60: [95, 96, 103, 104],
-    70: [95, 103, 104, 105],
-    80: [95, 103, 104, 105],
-    90: [95, 104, 105, 106],
-    100: [95, 104, 105, 106],
-    110: [95, 105, 106, 107],
-    120: [95, 105, 106, 107],
-    130: [95, 106, 107, 108],
-    140: [95, 106, 107, 108, 109],
-    150: [95, 107, 108, 109],
-    160: [95, 107, 108, 109, 110],
-    170: [95, 108, 109, 110],
-    180: [95, 109, 110, 111],
-    190: [95, 109, 110, 111, 112],
-    200: [95, 110, 111, 112, 113],
-    210: [95, 111, 112, 113, 114],
-    220: [95, 112, 113, 114, 115],
-    230: [95, 112, 113, 114, 115, 116],
-    240: [95, 113, 114, 115, 116, 117],
-    250: [95, 115, 116, 117, 118],
-    260: [95, 115, 116, 117, 118, 119],
-    270: [95, 117, 118, 119, 120, 121],
-    280: [95, 118, 119, 120, 121, 122],
-    290: [95, 119, 120, 121, 122, 123, 124],
-    300: [95, 121, 122, 123, 124, 125],
-    310: [95, 122, 123, 124, 125, 126, 127],
-    320: [95, 124, 125, 126, 127, 128],
-    330: [95, 125, 126, 127, 128, 129, 130, 131],
-    340: [95, 127, 128, 129, 130, 131, 132],
-    350: [95, 129, 130, 131, 132, 133, 134, 135],
-    360: [95, 131, 132, 133, 134, 135, 136, 137, 138],
-    370: [95, 135, 136, 137, 138, 139, 140],
-    380: [95, 136, 137, 138, 139, 140, 141, 142, 143, 144],
-    390: [95, 140, 141, 142, 143, 144, 145, 146],
-    400: [95, 143, 144, 145, 146, 147, 148, 149, 150],
-    410: [95, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
-    420: [95, 150, 151, 152, 153, 154, 155, 156, 157, 158],
-    430: [95, 155, 156, 157, 158, 159, 160, 161],
-    440: [95, 159, 160, 161, 162, 163, 164, 165, 166],
-    450: [95, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
-    460: [167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177],
-    470: [171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
-    480: [95, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
-    490: [181, 182, 183, 184, 185, 186],
-    500: [186],
-  },
-  10: {
-    0: [95, 100, 101],
-    10: [95, 100, 101],
-    20: [95, 100, 101],
-    30: [95, 101, 102],
-    40: [95, 101, 102],
-    50: [95, 101, 102, 103],
-    60: [95, 102, 103],
-    70: [95, 102, 103, 104],
-    80: [95, 102, 103, 104],
-    90: [95, 103, 104, 105],
-    100: [95, 103, 104, 105],
-    110: [95, 104, 105],
-    120: [95, 104, 105, 106],
-    130: [95, 104, 105, 106],
-    140: [95, 105, 106, 107],
-    150: [95, 105, 106, 107, 108],
-    160: [95, 106, 107, 108],
-    170: [95, 107, 108, 109],
-    180: [95, 107, 108, 109, 110],
-    190: [95, 108, 109, 110, 111],
-    200: [95, 109, 110, 111],
-    210: [95, 109, 110, 111, 112],
-    220: [95, 110, 111, 112, 113],
-    230: [95, 111, 112, 113, 114],
-    240: [95, 111, 112, 113, 114, 115],
-    250: [112, 113, 114, 115, 116],
-    260: [114, 115, 116, 117],
-    270: [114, 115, 116, 117, 118, 119],
-    280: [94, 116, 117, 118, 119, 120],
-    290: [94, 117, 118, 119, 120, 121],
-    300: [94, 118, 119, 120, 121, 122, 123],
-    310: [94, 120, 121, 122, 123, 124, 125],
-    320: [94, 121, 122, 123, 124, 125, 126, 127],
-    330: [94, 123, 124, 125, 126, 127, 128],
-    340: [94, 125, 126, 127, 128, 129, 130, 131],
-    350: [94, 127, 128, 129, 130, 131, 132, 133],
-    360: [94, 130, 131, 132, 133, 134, 135],
-    370: [94, 131, 132, 133, 134, 135, 136, 137, 138, 139],
-    380: [94, 135, 136, 137, 138, 139, 140, 141],
-    390: [94, 137, 138, 139, 140, 141, 142, 143, 144, 145],
-    400: [94, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149],
-    410: [94, 145, 146, 147, 148, 149, 150, 151],
-    420: [94, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157],
-    430: [94, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162],
-    440: [94, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166],
-    450: [94, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
-    460: [94, 167, 168, 169, 170, 171, 172, 173, 174, 175],
-    470: [94, 172, 173, 174, 175, 176, 177, 178, 179, 180],
-    480: [94, 178, 179, 180, 181, 182, 183, 184, 185],
-    490: [94, 182, 183, 184, 185, 186],
-  },
-  20: {
-    0: [95, 99, 100],
-    10: [95, 99, 100],
-    20: [95, 99, 100, 101],
-    30: [95, 100, 101],
-    40: [95, 100, 101],
-    50: [95, 100, 101, 102],
-    60: [95, 100, 101, 102],
-    70: [95, 101, 102],
-    80: [94, 95, 101, 102, 103],
-    90: [94, 101, 102, 103],
-    100: [94, 102, 103, 104],
-    110: [94, 102, 103, 104],
-    120: [94, 103, 104, 105],
-    130: [94, 103, 104, 105],
-    140: [94, 104, 105, 106],
-    150: [94, 104, 105, 106],
-    160: [94, 104, 105, 106, 107],
-    170: [94, 105, 106, 107, 108],
-    180: [94, 106, 107, 108],
-    190: [94, 106, 107, 108, 109],
-    200: [94, 107, 108, 109, 110],
-    210: [94, 108, 109, 110],
-    220: [94, 108, 109, 110, 111],
-    230: [94, 109, 110, 111, 112],
-    240: [94, 110, 111, 112, 113],
-    250: [94, 110, 111, 112, 113, 114],
-    260: [94, 111, 112, 113, 114, 115],
-    270: [94, 112, 113, 114, 115, 116],
-    280: [94, 113, 114, 115, 116, 117, 118],
-    290: [94, 115, 116, 117, 118, 119],
-    300: [94, 116, 117, 118, 119, 120, 121],
-    310: [94, 118, 119, 120, 121, 122],
-    320: [94, 118, 119, 120, 121, 122, 123, 124],
-    330: [94, 121, 122, 123, 124, 125, 126],
-    340: [94, 122, 123, 124, 125, 126, 127, 128],
-    350: [94, 125, 126, 127, 128, 129, 130],
-    360: [94, 126, 127, 128, 129, 130, 131, 132, 133, 134],
-    370: [94, 129, 130, 131, 132, 133, 134, 135],
-    380: [94, 131, 132, 133, 134, 135, 136, 137, 138, 139],
-    390: [94, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143],
-    400: [94, 139, 140, 141, 142, 143, 144, 145],
-    410: [94, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
-    420: [94, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
-    430: [94, 151, 152, 153, 154, 155, 156, 157, 158, 159],
-    440: [94, 156, 157, 158, 159, 160, 161, 162, 163, 164],
-    450: [94, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171],
-    460: [94, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177],
-    470: [94, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
-    480: [94, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
-    490: [94, 182, 183, 184, 185, 186, 187, 188],
-    500: [188],
-  },
-  30: {
-    0: [94, 98, 99],
-    10: [94, 98, 99],
-    20: [94, 98, 99, 100],
-    30: [94, 99, 100],
-    40: [94, 99, 100],
-    50: [94, 99, 100, 101],
-    60: [94, 99, 100, 101],
-    70: [94, 100, 101],
-    80: [94, 100, 101, 102],
-    90: [94, 100, 101, 102],
-    100: [94, 101, 102, 103],
-    110: [94, 101, 102, 103],
-    120: [94, 101, 102, 103, 104],
-    130: [94, 102, 103, 104],
-    140: [94, 102, 103, 104],
-    150: [94, 103, 104, 105],
-    160: [94, 103, 104, 105, 106],
-    170: [94, 103, 104, 105, 106],
-    180: [94, 104, 105, 106, 107],
-    190: [94, 105, 106, 107],
-    200: [94, 105, 106, 107, 108],
-    210: [94, 106, 107, 108, 109],
-    220: [94, 106, 107, 108, 109],
-    230: [94, 107, 108, 109, 110],
-    240: [94, 108, 109, 110, 111],
-    250: [94, 109, 110, 111, 112],
-    260: [94, 109, 110, 111, 112, 113],
-    270: [94, 111, 112, 113, 114],
-    280: [94, 111, 112, 113, 114, 115, 116],
-    290: [94, 112, 113, 114, 115, 116, 117],
-    300: [94, 113, 114, 115, 116, 117, 118],
-    310: [94, 115, 116, 117, 118, 119, 120],
-    320: [94, 116, 117, 118, 119, 120, 121],
-    330: [94, 117, 118, 119, 120, 121, 122, 123, 124],
-    340: [94, 120, 121, 122, 123, 124, 125],
-    350: [94, 121, 122, 123, 124, 125, 126, 127, 128],
-    360: [124, 125, 126, 127, 128, 129, 130],
-    370: [126, 127, 128, 129, 130, 131, 132, 133, 134],
-    380: [128, 129, 130, 131, 132, 133, 134, 135, 136, 137],
-    390: [132, 133, 134, 135, 136, 137, 138, 139, 140],
-    400: [134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144],
-    410: [139, 140, 141, 142, 143, 144, 145, 146, 147, 148],
-    420: [143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
-    430: [147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
-    440: [152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164],
-    450: [158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169],
-    460: [93, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
-    470: [172, 173, 174, 175, 176, 177, 178, 179, 180],
-    480: [178, 179, 180, 181, 182, 183, 184, 185, 186],
-    490: [93, 184, 185, 186, 187, 188],
-  },
-  40: {
-    0: [94, 97, 98],
-    10: [94, 97, 98],
-    20: [94, 97, 98, 99],
-    30: [94, 98, 99],
-    40: [94, 98, 99],
-    50: [94, 98, 99, 100],
-    60: [94, 98, 99, 100],
-    70: [94, 99, 100],
-    80: [94, 99, 100],
-    90: [94, 99, 100, 101],
-    100: [94, 99, 100, 101],
-    110: [94, 100, 101, 102],
-    120: [93, 94, 100, 101, 102],
-    130: [93, 100, 101, 102, 103],
-    140: [93, 101, 102, 103],
-    150: [93, 101, 102, 103],
-    160: [93, 101, 102, 103, 104],
-    170: [93, 102, 103, 104, 105],
-    180: [93, 102, 103, 104, 105],
-    190: [93, 103, 104, 105, 106],
-    200: [93, 103, 104, 105, 106],
-    210: [93, 104, 105, 106, 107],
-    220: [93, 105, 106, 107, 108],
-    230: [93, 105, 106, 107, 108],
-    240: [93, 106, 107, 108, 109, 110],
-    250: [93, 107, 108, 109, 110],
-    260: [93, 107, 108, 109, 110, 111],
-    270: [93, 108, 109, 110, 111, 112],
-    280: [93, 109, 110, 111, 112, 113],
-    290: [93, 110, 111, 112, 113, 114, 115],
-    300: [93, 111, 112, 113, 114, 115, 116],
-    310: [93, 112, 113, 114, 115, 116, 117, 118],
-    320: [93, 114, 115, 116, 117, 118, 119],
-    330: [93, 115, 116, 117, 118, 119, 120, 121],
-    340: [93, 117, 118, 119, 120, 121, 122, 123],
-    350: [93, 118, 119, 120, 121, 122, 123, 124, 125],
-    360: [93, 120, 121, 122, 123, 124, 125, 126, 127, 128],
-    370: [93, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
-    380: [93, 126, 127, 128, 129, 130, 131, 132, 133],
-    390: [93, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
-    400: [93, 132, 133, 134, 135, 136, 137, 138, 139, 140],
-    410: [93, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146],
-    420: [93, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151],
-    430: [93, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
-    440: [93, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161],
-    450: [
-      93, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168,
-      169,
-    ],
-    460: [
-      93, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174,
-      175, 176,
-    ],
-    470: [
-      93, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181,
-      182, 183, 184,
-    ],
-    480: [
-      93, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188,
-      189, 190,
-    ],
-    490: [93, 182, 183, 184, 185, 186, 187, 188, 189, 190],
-    500: [190],
-  },
-  50: {
-    0: [93, 96, 97],
-    10: [93, 96, 97],
-    20: [93, 96, 97, 98],
-    30: [93, 97, 98],
-    40: [93, 97, 98],
-    50: [93, 97, 98],
-    60: [93, 97, 98, 99],
-    70: [93, 98, 99],
-    80: [93, 98, 99],
-    90: [93, 98, 99, 100],
-    100: [93, 98, 99, 100],
-    110: [93, 98, 99, 100],
-    120: [93, 99, 100, 101],
-    130: [93, 99, 100, 101],
-    140: [93, 99, 100, 101, 102],
-    150: [93, 100, 101, 102],
-    160: [93, 100, 101, 102],
-    170: [93, 100, 101, 102, 103],
-    180: [93, 101, 102, 103, 104],
-    190: [93, 101, 102, 103, 104],
-    200: [93, 102, 103, 104],
-    210: [93, 102, 103, 104, 105],
-    220: [93, 102, 103, 104, 105, 106],
-    230: [93, 103, 104, 105, 106],
-    240: [93, 103, 104, 105, 106, 107],
-    250: [93, 104, 105, 106, 107, 108],
-    260: [93, 105, 106, 107, 108, 109],
-    270: [93, 105, 106, 107, 108, 109, 110],
-    280: [93, 107, 108, 109, 110, 111],
-    290: [93, 107, 108, 109, 110, 111, 112],
-    300: [93, 108, 109, 110, 111, 112, 113, 114],
-    310: [93, 109, 110, 111, 112, 113, 114],
-    320: [93, 110, 111, 112, 113, 114, 115, 116, 117],
-    330: [93, 112, 113, 114, 115, 116, 117],
-    340: [93, 113, 114, 115, 116, 117, 118, 119, 120],
-    350: [93, 116, 117, 118, 119, 120, 121],
-    360: [93, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125],
-    370: [93, 120, 121, 122, 123, 124, 125, 126],
-    380: [93, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131],
-    390: [93, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
-    400: [93, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
-    410: [
-      93, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143,
-    ],
-    420: [93, 137, 138, 139, 140, 141, 142, 143, 144, 145],
-    430: [
-      93, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153,
-      154,
-    ],
-    440: [
-      93, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158,
-      159, 160, 161,
-    ],
-    450: [
-      93, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165,
-      166, 167,
-    ],
-    460: [93, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173],
-    470: [93, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
-    480: [93, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
-    490: [93, 186, 187, 188, 189, 190],
-  },
-  60: {
-    0: [93, 95, 96],
-    10: [93, 95, 96, 97],
-    20: [93, 95, 96, 97],
-    30: [93, 96, 97],
-    40: [93, 96, 97],
-    50: [93, 96, 97],
-    60: [93, 96, 97, 98],
-    70: [93, 96, 97, 98],
-    80: [93, 97, 98],
-    90: [93, 97, 98, 99],
-    100: [93, 97, 98, 99],
-    110: [93, 97, 98, 99],
-    120: [93, 97, 98, 99],
-    130: [93, 98, 99, 100],
-    140: [93, 98, 99, 100],
-    150: [93, 98, 99, 100, 101],
-    160: [93, 99, 100, 101],
-    170: [93, 99, 100, 101],
-    180: [99, 100, 101, 102],
-    190: [99, 100, 101, 102],
-    200: [100, 101, 102, 103],
-    210: [100, 101, 102, 103],
-    220: [100, 101, 102, 103, 104],
-    230: [101, 102, 103, 104, 105],
-    240: [101, 102, 103, 104, 105],
-    250: [102, 103, 104, 105, 106],
-    260: [103, 104, 105, 106, 107],
-    270: [103, 104, 105, 106, 107, 108],
-    280: [104, 105, 106, 107, 108, 109],
-    290: [105, 106, 107, 108, 109],
-    300: [105, 106, 107, 108, 109, 110, 111],
-    310: [107, 108, 109, 110, 111, 112],
-    320: [107, 108, 109, 110, 111, 112, 113, 114],
-    330: [109, 110, 111, 112, 113, 114, 115],
-    340: [110, 111, 112, 113, 114, 115, 116, 117],
-    350: [111, 112, 113, 114, 115, 116, 117, 118, 119],
-    360: [113, 114, 115, 116, 117, 118, 119, 120, 121],
-    370: [115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
-    380: [117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
-    390: [120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130],
-    400: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134],
-    410: [128, 129, 130, 131, 132, 133, 134, 135, 136],
-    420: [
-      130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144,
-      145,
-    ],
-    430: [
-      135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149,
-      150,
-    ],
-    440: [145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155],
-    450: [
-      148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162,
-      163, 164, 165, 166,
-    ],
-    460: [
-      155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169,
-      170, 171, 172, 173, 174, 175, 176,
-    ],
-    470: [
-      164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178,
-      179, 180, 181, 182, 183, 184, 185, 186,
-    ],
-    480: [
-      174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188,
-      189, 190, 191, 192, 193, 194,
-    ],
-    490: [184, 185, 186, 187, 188, 189, 190, 191, 192, 193, 194],
-    500: [193, 194],
-  },
-  70: {
-    0: [94, 95],
-    10: [94, 95, 96],
-    20: [94, 95, 96],
-    30: [95, 96],
-    40: [95, 96],
-    50: [95, 96],
-    60: [95, 96, 97],
-    70: [95, 96, 97],
-    80: [95, 96, 97],
-    90: [95, 96, 97],
-    100: [96, 97, 98],
-    110: [96, 97, 98],
-    120: [96, 97, 98],
-    130: [96, 97, 98],
-    140: [96, 97, 98, 99],
-    150: [96, 97, 98, 99],
-    160: [97, 98, 99],
-    170: [97, 98, 99, 100],
-    180: [97, 98, 99, 100],
-    190: [97, 98, 99, 100, 101],
-    200: [98, 99, 100, 101],
-    210: [98, 99, 100, 101],
-    220: [98, 99, 100, 101, 102],
-    230: [99, 100, 101, 102, 103],
-    240: [100, 101, 102, 103],
-    250: [100, 101, 102, 103, 104],
-    260: [100, 101, 102, 103, 104, 105],
-    270: [101, 102, 103, 104, 105],
-    280: [101, 102, 103, 104, 105, 106],
-    290: [102, 103, 104, 105, 106, 107],
-    300: [102, 103, 104, 105, 106, 107, 108],
-    310: [103, 104, 105, 106, 107, 108, 109],
-    320: [104, 105, 106, 107, 108, 109, 110],
-    330: [105, 106, 107, 108, 109, 110, 111, 112],
-    340: [107, 108, 109, 110, 111, 112, 113],
-    350: [107, 108, 109, 110, 111, 112, 113, 114, 115, 116],
-    360: [110, 111, 112, 113, 114, 115, 116],
-    370: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120],
-    380: [114, 115, 116, 117, 118, 119, 120, 121],
-    390: [114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
-    400: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128],
-    410: [
-      120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134,
-      135,
-    ],
-    420: [
-      124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138,
-      139,
-    ],
-    430: [
-      130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144,
-      145,
-    ],
-    440: [
-      134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148,
-      149, 150, 151, 152, 153, 154, 155,
-    ],
-    450: [
-      143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157,
-      158, 159, 160, 161, 162, 163, 164,
-    ],
-    460: [
-      154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168,
-      169, 170, 171, 172,
-    ],
-    470: [168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
-    480: [179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192],
-    490: [188, 189, 190, 191, 192, 193, 194],
-  },
-  80: {
-    0: [93, 94],
-    10: [93, 94, 95],
-    20: [93, 94, 95],
-    30: [94, 95],
-    40: [94, 95],
-    50: [94, 95],
-    60: [94, 95],
-    70: [94, 95, 96],
-    80: [94, 95, 96],
-    90: [94, 95, 96],
-    100: [94, 95, 96],
-    110: [94, 95, 96],
-    120: [95, 96, 97],
-    130: [95, 96, 97],
-    140: [95, 96, 97],
-    150: [95, 96, 97, 98],
-    160: [95, 96, 97, 98],
-    170: [96, 97, 98],
-    180: [96, 97, 98],
-    190: [96, 97, 98, 99],
-    200: [96, 97, 98, 99],
-    210: [97, 98, 99],
-    220: [96, 97, 98, 99, 100],
-    230: [97, 98, 99, 100, 101],
-    240: [97, 98, 99, 100, 101],
-    250: [97, 98, 99, 100, 101, 102],
-    260: [98, 99, 100, 101, 102],
-    270: [99, 100, 101, 102],
-    280: [98, 99, 100, 101, 102, 103, 104],
-    290: [99, 100, 101, 102, 103, 104],
-    300: [100, 101, 102, 103, 104, 105],
-    310: [100, 101, 102, 103, 104, 105, 106],
-    320: [102, 103, 104, 105, 106],
-    330: [101, 102, 103, 104, 105, 106, 107, 108, 109],
-    340: [103, 104, 105, 106, 107, 108, 109],
-    350: [103, 104, 105, 106, 107, 108, 109, 110, 111, 112],
-    360: [105, 106, 107, 108, 109, 110, 111, 112, 113],
-    370: [105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
-    380: [107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118],
-    390: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
-    400: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
-    410: [
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128,
-      129,
-    ],
-    420: [
-      119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133,
-    ],
-    430: [
-      121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135,
-      136, 137, 138, 139, 140, 141, 142,
-    ],
-    440: [
-      129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143,
-      144, 145, 146, 147, 148,
-    ],
-  },
-  90: {
-    0: [92, 93],
-    10: [92, 93, 94],
-    20: [92, 93, 94],
-    30: [92, 93, 94],
-    40: [93, 94],
-    50: [93, 94],
-    60: [93, 94],
-    70: [93, 94],
-    80: [93, 94, 95],
-    90: [93, 94, 95],
-    100: [93, 94, 95],
-    110: [93, 94, 95],
-    120: [93, 94, 95],
-    130: [93, 94, 95],
-    140: [93, 94, 95, 96],
-    150: [93, 94, 95, 96],
-    160: [94, 95, 96],
-    170: [94, 95, 96],
-    180: [94, 95, 96],
-    190: [94, 95, 96, 97],
-    200: [94, 95, 96, 97],
-    210: [94, 95, 96, 97, 98],
-    220: [94, 95, 96, 97, 98],
-    230: [94, 95, 96, 97, 98],
-    240: [95, 96, 97, 98, 99],
-    250: [95, 96, 97, 98, 99],
-    260: [95, 96, 97, 98, 99, 100],
-    270: [96, 97, 98, 99, 100],
-    280: [96, 97, 98, 99, 100, 101],
-    290: [96, 97, 98, 99, 100, 101, 102],
-    300: [97, 98, 99, 100, 101, 102],
-    310: [97, 98, 99, 100, 101, 102, 103],
-    320: [98, 99, 100, 101, 102, 103],
-    330: [98, 99, 100, 101, 102, 103, 104, 105],
-    340: [98, 99, 100, 101, 102, 103, 104, 105, 106],
-    350: [99, 100, 101, 102, 103, 104, 105, 106, 107],
-    360: [99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
-    370: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
-    380: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113],
-    390: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
-    400: [
-      104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118,
-      119,
-    ],
-    410: [108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121],
-    420: [
-      109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123,
-      124, 125, 126, 127, 128,
-    ],
-    430: [
-      114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128,
-      129, 130, 131, 132, 133,
-    ],
-  },
-  100: {
-    0: [91, 92, 93],
-    10: [91, 92, 93],
-    20: [91, 92, 93],
-    30: [91, 92, 93],
-    40: [91, 92, 93],
-    50: [91, 92, 93],
-    60: [91, 92, 93],
-    70: [92, 93],
-    80: [92, 93],
-    90: [92, 93, 94],
-    100: [92, 93, 94],
-    110: [92, 93, 94],
-    120: [92, 93, 94],
-    130: [92, 93, 94],
-    140: [92, 93, 94],
-    150: [92, 93, 94],
-    160: [92, 93, 94, 95],
-    170: [92, 93, 94, 95],
-    180: [92, 93, 94, 95],
-    190: [92, 93, 94, 95],
-    200: [92, 93, 94, 95, 96],
-    210: [92, 93, 94, 95, 96],
-    220: [93, 94, 95, 96],
-    230: [92, 93, 94, 95, 96],
-    240: [93, 94, 95, 96, 97],
-    250: [93, 94, 95, 96, 97],
-    260: [93, 94, 95, 96, 97],
-    270: [93, 94, 95, 96, 97, 98],
-    280: [93, 94, 95, 96, 97, 98],
-    290: [93, 94, 95, 96, 97, 98, 99],
-    300: [94, 95, 96, 97, 98],
-    310: [93, 94, 95, 96, 97, 98, 99, 100],
-    320: [94, 95, 96, 97, 98, 99, 100],
-    330: [94, 95, 96, 97, 98, 99, 100, 101],
-    340: [94, 95, 96, 97, 98, 99, 100, 101, 102],
-    350: [95, 96, 97, 98, 99, 100, 101, 102],
-    360: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
-    370: [97, 98, 99, 100, 101, 102, 103, 104],
-    380: [95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
-    390: [98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108],
-    400: [
-      97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111,
-      112, 113,
-    ],
-    410: [
-      100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114,
-    ],
-    420: [
-      99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113,
-      114, 115, 116, 117, 118, 119, 120, 121,
-    ],
-    430: [109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
-  },
-  110: {
-    0: [90, 91, 92],
-    10: [90, 91, 92],
-    20: [90, 91, 92],
-    30: [90, 91, 92],
-    40: [90, 91, 92],
-    50: [90, 91, 92],
-    60: [90, 91, 92],
-    70: [90, 91, 92],
-    80: [90, 91, 92],
-    90: [90, 91, 92],
-    100: [90, 91, 92],
-    110: [90, 91, 92],
-    120: [90, 91, 92, 93],
-    130: [90, 91, 92, 93],
-    140: [90, 91, 92, 93],
-    150: [90, 91, 92, 93],
-    160: [90, 91, 92, 93],
-    170: [90, 91, 92, 93],
-    180: [91, 92, 93],
-    190: [90, 91, 92, 93],
-    200: [90, 91, 92, 93, 94],
-    210: [90, 91, 92, 93, 94],
-    220: [91, 92, 93, 94],
-    230: [90, 91, 92, 93, 94],
-    240: [90, 91, 92, 93, 94],
-    250: [91, 92, 93, 94],
-    260: [90, 91, 92, 93, 94, 95],
-    270: [90, 91, 92, 93, 94, 95],
-    280: [90, 91, 92, 93, 94, 95],
-    290: [90, 91, 92, 93, 94, 95, 96],
-    300: [91, 92, 93, 94, 95],
-    310: [90, 91, 92, 93, 94, 95, 96, 97],
-    320: [90, 91, 92, 93, 94, 95, 96, 97],
-    330: [90, 91, 92, 93, 94, 95, 96, 97],
-    340: [90, 91, 92, 93, 94, 95, 96, 97, 98],
-    350: [91, 92, 93, 94, 95, 96, 97, 98],
-    360: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
-    370: [91, 92, 93, 94, 95, 96, 97, 98, 99],
-    380: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102],
-    390: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
-    400: [90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
-    410: [
-      90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106,
-      107,
-    ],
-    420: [
-      90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106,
-      107, 108, 109, 110, 111,
-    ],
-  },
-  120: {
-    0: [89, 90, 91],
-    10: [89, 90, 91],
-    20: [89, 90, 91],
-    30: [89, 90, 91],
-    40: [89, 90, 91],
-    50: [89, 90, 91],
-    60: [89, 90, 91],
-    70: [89, 90, 91],
-    80: [89, 90, 91],
-    90: [89, 90, 91],
-    100: [89, 90, 91],
-    110: [89, 90, 91],
-    120: [89, 90, 91],
-    130: [89, 90, 91],
-    140: [89, 90, 91],
-    150: [89, 90, 91],
-    160: [89, 90, 91],
-    170: [89, 90, 91],
-    180: [89, 90, 91],
-    190: [89, 90, 91],
-    200: [88, 89, 90, 91, 92],
-    210: [88, 89, 90, 91, 92],
-    220: [88, 89, 90, 91, 92],
-    230: [88, 89, 90, 91, 92],
-    240: [88, 89, 90, 91, 92],
-    250: [88, 89, 90, 91, 92],
-    260: [88, 89, 90, 91, 92],
-    270: [88, 89, 90, 91, 92],
-    280: [88, 89, 90, 91, 92],
-    290: [87, 88, 89, 90, 91, 92, 93],
-    300: [88, 89, 90, 91, 92],
-    310: [87, 88, 89, 90, 91, 92, 93],
-    320: [87, 88, 89, 90, 91, 92, 93],
-    330: [87, 88, 89, 90, 91, 92, 93],
-    340: [86, 87, 88, 89, 90, 91, 92, 93, 94],
-    350: [87, 88, 89, 90, 91, 92, 93],
-    360: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
-    370: [86, 87, 88, 89, 90, 91, 92, 93, 94],
-    380: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
-    390: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
-    400: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
-    410: [
-      81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98,
-      99,
-    ],
-    420: [
-      80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97,
-      98, 99, 100,
-    ],
-  },
-  130: {
-    0: [88, 89, 90],
-    10: [88, 89, 90],
-    20: [88, 89, 90],
-    30: [88, 89, 90],
-    40: [88, 89, 90],
-    50: [88, 89, 90],
-    60: [88, 89, 90],
-    70: [88, 89, 90],
-    80: [88, 89, 90],
-    90: [88, 89, 90],
-    100: [88, 89, 90],
-    110: [88, 89, 90],
-    120: [87, 88, 89, 90],
-    130: [87, 88, 89, 90],
-    140: [87, 88, 89, 90],
-    150: [87, 88, 89, 90],
-    160: [87, 88, 89, 90],
-    170: [87, 88, 89, 90],
-    180: [87, 88, 89],
-    190: [87, 88, 89, 90],
-    200: [86, 87, 88, 89, 90],
-    210: [86, 87, 88, 89, 90],
-    220: [86, 87, 88, 89],
-    230: [86, 87, 88, 89, 90],
-    240: [86, 87, 88, 89, 90],
-    250: [86, 87, 88, 89],
-    260: [85, 86, 87, 88, 89, 90],
-    270: [85, 86, 87, 88, 89, 90],
-    280: [85, 86, 87, 88, 89, 90],
-    290: [84, 85, 86, 87, 88, 89, 90],
-    300: [85, 86, 87, 88, 89],
-    310: [83, 84, 85, 86, 87, 88, 89, 90],
-    320: [83, 84, 85, 86, 87, 88, 89, 90],
-    330: [83, 84, 85, 86, 87, 88, 89, 90],
-    340: [82, 83, 84, 85, 86, 87, 88, 89, 90],
-    350: [82, 83, 84, 85, 86, 87, 88, 89],
-    360: [80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
-    370: [81, 82, 83, 84, 85, 86, 87, 88, 89],
-    380: [78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
-    390: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
-    400: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90],
-    410: [
-      73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90,
-    ],
-    420: [
-      69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86,
-      87, 88, 89, 90,
-    ],
-  },
-  140: {
-    0: [87, 88, 89],
-    10: [87, 88, 89],
-    20: [87, 88, 89],
-    30: [87, 88, 89],
-    40: [87, 88, 89],
-    50: [87, 88, 89],
-    60: [87, 88, 89],
-    70: [87, 88],
-    80: [87, 88],
-    90: [86, 87, 88],
-    100: [86, 87, 88],
-    110: [86, 87, 88],
-    120: [86, 87, 88],
-    130: [86, 87, 88],
-    140: [86, 87, 88],
-    150: [86, 87, 88],
-    160: [85, 86, 87, 88],
-    170: [85, 86, 87, 88],
-    180: [85, 86, 87, 88],
-    190: [85, 86, 87, 88],
-    200: [84, 85, 86, 87, 88],
-    210: [84, 85, 86, 87, 88],
-    220: [84, 85, 86, 87],
-    230: [84, 85, 86, 87, 88],
-    240: [83, 84, 85, 86, 87],
-    250: [83, 84, 85, 86, 87],
-    260: [83, 84, 85, 86, 87],
-    270: [82, 83, 84, 85, 86, 87],
-    280: [82, 83, 84, 85, 86, 87],
-    290: [81, 82, 83, 84, 85, 86, 87],
-    300: [82, 83, 84, 85, 86],
-    310: [80, 81, 82, 83, 84, 85, 86, 87],
-    320: [80, 81, 82, 83, 84, 85, 86],
-    330: [79, 80, 81, 82, 83, 84, 85, 86],
-    340: [78, 79, 80, 81, 82, 83, 84, 85, 86],
-    350: [78, 79, 80, 81, 82, 83, 84, 85],
-    360: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
-    370: [76, 77, 78, 79, 80, 81, 82, 83],
-    380: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85],
-    390: [72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82],
-    400: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
-    410: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
-    420: [
-      59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76,
-      77, 78, 79, 80, 81,
-    ],
-    430: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
-  },
-  150: {
-    0: [87, 88],
-    10: [86, 87, 88],
-    20: [86, 87, 88],
-    30: [86, 87, 88],
-    40: [86, 87],
-    50: [86, 87],
-    60: [86, 87],
-    70: [86, 87],
-    80: [85, 86, 87],
-    90: [85, 86, 87],
-    100: [85, 86, 87],
-    110: [85, 86, 87],
-    120: [85, 86, 87],
-    130: [85, 86, 87],
-    140: [84, 85, 86, 87],
-    150: [84, 85, 86, 87],
-    160: [84, 85, 86],
-    170: [84, 85, 86],
-    180: [84, 85, 86],
-    190: [83, 84, 85, 86],
-    200: [83, 84, 85, 86],
-    210: [82, 83, 84, 85, 86],
-    220: [82, 83, 84, 85, 86],
-    230: [82, 83, 84, 85, 86],
-    240: [81, 82, 83, 84, 85],
-    250: [81, 82, 83, 84, 85],
-    260: [80, 81, 82, 83, 84, 85],
-    270: [80, 81, 82, 83, 84],
-    280: [79, 80, 81, 82, 83, 84],
-    290: [78, 79, 80, 81, 82, 83, 84],
-    300: [78, 79, 80, 81, 82, 83],
-    310: [77, 78, 79, 80, 81, 82, 83],
-    320: [77, 78, 79, 80, 81, 82],
-    330: [75, 76, 77, 78, 79, 80, 81, 82],
-    340: [74, 75, 76, 77, 78, 79, 80, 81, 82],
-    350: [73, 74, 75, 76, 77, 78, 79, 80, 81],
-    360: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81],
-    370: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
-    380: [67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
-    390: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
-    400: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
-    410: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72],
-    420: [
-      52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69,
-      70, 71,
-    ],
-    430: [
-      47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64,
-      65, 66,
-    ],
-  },
-  160: {
-    0: [86, 87],
-    10: [85, 86, 87],
-    20: [85, 86, 87],
-    30: [85, 86],
-    40: [85, 86],
-    50: [85, 86],
-    60: [85, 86],
-    70: [84, 85, 86],
-    80: [84, 85, 86],
-    90: [84, 85, 86],
-    100: [84, 85, 86],
-    110: [84, 85, 86],
-    120: [83, 84, 85],
-    130: [83, 84, 85],
-    140: [83, 84, 85],
-    150: [82, 83, 84, 85],
-    160: [82, 83, 84, 85],
-    170: [82, 83, 84],
-    180: [82, 83, 84],
-    190: [81, 82, 83, 84],
-    200: [81, 82, 83, 84],
-    210: [81, 82, 83],
-    220: [80, 81, 82, 83, 84],
-    230: [79, 80, 81, 82, 83],
-    240: [79, 80, 81, 82, 83],
-    250: [78, 79, 80, 81, 82, 83],
-    260: [78, 79, 80, 81, 82],
-    270: [78, 79, 80, 81],
-    280: [76, 77, 78, 79, 80, 81, 82],
-    290: [76, 77, 78, 79, 80, 81],
-    300: [75, 76, 77, 78, 79, 80],
-    310: [74, 75, 76, 77, 78, 79, 80],
-    320: [74, 75, 76, 77, 78],
-    330: [71, 72, 73, 74, 75, 76, 77, 78, 79],
-    340: [71, 72, 73, 74, 75, 76, 77],
-    350: [68, 69, 70, 71, 72, 73, 74, 75, 76, 77],
-    360: [67, 68, 69, 70, 71, 72, 73, 74, 75],
-    370: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75],
-    380: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
-    390: [59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71],
-    400: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
-    410: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
-    420: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
-    430: [
-      38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55,
-      56, 57, 58, 59,
-    ],
-    440: [
-      32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49,
-      50, 51,
-    ],
-  },
-  170: {
-    0: [85, 86],
-    10: [84, 85, 86],
-    20: [84, 85, 86],
-    30: [84, 85],
-    40: [84, 85],
-    50: [84, 85],
-    60: [83, 84, 85],
-    70: [83, 84, 85],
-    80: [83, 84, 85],
-    90: [83, 84, 85],
-    100: [82, 83, 84],
-    110: [82, 83, 84],
-    120: [82, 83, 84],
-    130: [82, 83, 84],
-    140: [81, 82, 83, 84],
-    150: [81, 82, 83, 84],
-    160: [81, 82, 83],
-    170: [80, 81, 82, 83],
-    180: [80, 81, 82, 83],
-    190: [79, 80, 81, 82, 83],
-    200: [79, 80, 81, 82],
-    210: [79, 80, 81, 82],
-    220: [78, 79, 80, 81, 82],
-    230: [77, 78, 79, 80, 81],
-    240: [77, 78, 79, 80],
-    250: [76, 77, 78, 79, 80],
-    260: [75, 76, 77, 78, 79, 80],
-    270: [75, 76, 77, 78, 79],
-    280: [74, 75, 76, 77, 78, 79],
-    290: [73, 74, 75, 76, 77, 78],
-    300: [72, 73, 74, 75, 76, 77, 78],
-    310: [71, 72, 73, 74, 75, 76, 77],
-    320: [70, 71, 72, 73, 74, 75, 76],
-    330: [68, 69, 70, 71, 72, 73, 74, 75],
-    340: [67, 68, 69, 70, 71, 72, 73],
-    350: [64, 65, 66, 67, 68, 69, 70, 71, 72, 73],
-    360: [64, 65, 66, 67, 68, 69, 70],
-    370: [60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
-    380: [59, 60, 61, 62, 63, 64, 65, 66],
-    390: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66],
-    400: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
-    410: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
-    420: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
-    430: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
-    440: [
-      25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42,
-      43, 44, 45, 46,
-    ],
-    450: [
-      16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33,
-      34, 35, 36, 37,
-    ],
-    460: [
-      8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26,
-    ],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
-    480: [0, 1, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
-    490: [346, 347, 348, 349, 350, 351, 352],
-  },
-  180: {
-    0: [84, 85, 87],
-    10: [83, 84, 85, 87],
-    20: [83, 84, 85, 87],
-    30: [83, 84, 87],
-    40: [83, 84, 87],
-    50: [83, 84, 87],
-    60: [82, 83, 84, 87],
-    70: [82, 83, 84, 87],
-    80: [82, 83, 87],
-    90: [81, 82, 83, 87],
-    100: [81, 82, 83, 87],
-    110: [81, 82, 83, 87],
-    120: [81, 82, 83, 87],
-    130: [80, 81, 82, 87],
-    140: [80, 81, 82, 87],
-    150: [79, 80, 81, 82, 87],
-    160: [79, 80, 81, 87],
-    170: [79, 80, 81, 87],
-    180: [78, 79, 80, 81],
-    190: [78, 79, 80, 81],
-    200: [77, 78, 79, 80],
-    210: [77, 78, 79, 80],
-    220: [76, 77, 78, 79, 80],
-    230: [75, 76, 77, 78, 79],
-    240: [75, 76, 77, 78, 79],
-    250: [74, 75, 76, 77, 78],
-    260: [73, 74, 75, 76, 77],
-    270: [72, 73, 74, 75, 76, 77],
-    280: [71, 72, 73, 74, 75, 76],
-    290: [71, 72, 73, 74, 75],
-    300: [69, 70, 71, 72, 73, 74, 75],
-    310: [68, 69, 70, 71, 72, 73],
-    320: [66, 67, 68, 69, 70, 71, 72, 73],
-    330: [65, 66, 67, 68, 69, 70, 71],
-    340: [63, 64, 65, 66, 67, 68, 69, 70],
-    350: [61, 62, 63, 64, 65, 66, 67, 68, 69],
-    360: [59, 60, 61, 62, 63, 64, 65, 66, 67],
-    370: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65],
-    380: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
-    390: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
-    400: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
-    410: [44, 45, 46, 47, 48, 49, 50, 51, 52],
-    420: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
-    430: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
-    440: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35],
-    450: [
-      14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31,
-      32,
-    ],
-    460: [
-      4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23,
-      24, 25,
-    ],
-    470: [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 354, 355, 356,
-      357, 358, 359,
-    ],
-    480: [
-      0, 1, 2, 3, 4, 5, 6, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355,
-      356, 357, 358, 359,
-    ],
-    490: [346, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356],
-    500: [346, 347],
-  },
-  190: {
-    0: [83, 84, 87],
-    10: [83, 84, 87],
-    20: [82, 83, 84, 87],
-    30: [82, 83, 87],
-    40: [82, 83, 87],
-    50: [82, 83, 87],
-    60: [81, 82, 83, 87],
-    70: [81, 82, 87],
-    80: [81, 82, 87],
-    90: [80, 81, 82, 87],
-    100: [80, 81, 82, 87],
-    110: [80, 81, 82, 87],
-    120: [79, 80, 81, 87],
-    130: [79, 80, 81, 87],
-    140: [78, 79, 80, 81, 87],
-    150: [78, 79, 80, 87],
-    160: [78, 79, 80, 87],
-    170: [77, 78, 79, 80, 87],
-    180: [76, 77, 78, 79, 87],
-    190: [76, 77, 78, 79, 87],
-    200: [76, 77, 78, 87],
-    210: [75, 76, 77, 78, 87],
-    220: [74, 75, 76, 77, 78, 87],
-    230: [74, 75, 76, 77, 87],
-    240: [73, 74, 75, 76, 77, 87],
-    250: [72, 73, 74, 75, 76, 87],
-    260: [71, 72, 73, 74, 75, 87],
-    270: [70, 71, 72, 73, 74, 75, 87],
-    280: [69, 70, 71, 72, 73, 87],
-    290: [68, 69, 70, 71, 72, 73, 87],
-    300: [66, 67, 68, 69, 70, 71, 72, 87],
-    310: [66, 67, 68, 69, 70, 71, 87],
-    320: [63, 64, 65, 66, 67, 68, 69, 70, 87],
-    330: [63, 64, 65, 66, 67, 68, 87],
-    340: [60, 61, 62, 63, 64, 65, 66, 67, 87],
-    350: [59, 60, 61, 62, 63, 64, 87],
-    360: [55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 87],
-    370: [54, 55, 56, 57, 58, 59, 60, 87],
-    380: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 87],
-    390: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 87],
-    400: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 87],
-    410: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 87],
-    420: [35, 36, 37, 38, 39, 40, 41, 42, 43, 87],
-    430: [26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 87],
-    440: [
-      19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 87,
-    ],
-    450: [13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 87],
-    460: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 87],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 87],
-    480: [0, 1, 87, 352, 353, 354, 355, 356, 357, 358, 359],
-    490: [87, 350, 351, 352, 353, 354],
-  },
-  200: {
-    0: [82, 83, 86],
-    10: [82, 83, 86],
-    20: [81, 82, 83, 86],
-    30: [81, 82, 86],
-    40: [81, 82, 86],
-    50: [80, 81, 82, 86],
-    60: [80, 81, 82, 86],
-    70: [80, 81, 86],
-    80: [80, 81, 86],
-    90: [79, 80, 81, 86],
-    100: [79, 80, 81, 86],
-    110: [78, 79, 80, 86],
-    120: [78, 79, 80, 86, 87],
-    130: [77, 78, 79, 80, 87],
-    140: [77, 78, 79, 87],
-    150: [77, 78, 79, 87],
-    160: [76, 77, 78, 79, 87],
-    170: [75, 76, 77, 78, 87],
-    180: [75, 76, 77, 78, 87],
-    190: [74, 75, 76, 77, 87],
-    200: [74, 75, 76, 77, 87],
-    210: [73, 74, 75, 76, 87],
-    220: [72, 73, 74, 75, 87],
-    230: [72, 73, 74, 75, 87],
-    240: [70, 71, 72, 73, 74, 87],
-    250: [70, 71, 72, 73, 87],
-    260: [69, 70, 71, 72, 73, 87],
-    270: [68, 69, 70, 71, 72, 87],
-    280: [67, 68, 69, 70, 71, 87],
-    290: [65, 66, 67, 68, 69, 70, 87],
-    300: [64, 65, 66, 67, 68, 69, 87],
-    310: [62, 63, 64, 65, 66, 67, 68, 87],
-    320: [61, 62, 63, 64, 65, 66, 87],
-    330: [59, 60, 61, 62, 63, 64, 65, 87],
-    340: [57, 58, 59, 60, 61, 62, 63, 87],
-    350: [55, 56, 57, 58, 59, 60, 61, 62, 87],
-    360: [52, 53, 54, 55, 56, 57, 58, 59, 60, 87],
-    370: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 87],
-    380: [47, 48, 49, 50, 51, 52, 53, 54, 87],
-    390: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 87],
-    400: [40, 41, 42, 43, 44, 45, 46, 47, 48, 87],
-    410: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 87],
-    420: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 87],
-    430: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 87],
-    440: [19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 87],
-    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 87],
-    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 87],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 87, 356, 357, 358, 359],
-    480: [
-      0, 1, 2, 3, 4, 5, 87, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359,
-    ],
-    490: [87, 350, 351, 352, 353, 354, 355, 356, 357, 358],
-    500: [350],
-  },
-  210: {
-    0: [81, 82, 86],
-    10: [81, 82, 86],
-    20: [80, 81, 82, 86],
-    30: [80, 81, 86],
-    40: [80, 81, 86],
-    50: [79, 80, 81, 86],
-    60: [79, 80, 81, 86],
-    70: [79, 80, 86],
-    80: [78, 79, 80, 86],
-    90: [78, 79, 80, 86],
-    100: [77, 78, 79, 86],
-    110: [77, 78, 79, 86],
-    120: [76, 77, 78, 79, 86],
-    130: [76, 77, 78, 86],
-    140: [76, 77, 78, 86],
-    150: [75, 76, 77, 86],
-    160: [74, 75, 76, 77, 86],
-    170: [74, 75, 76, 77, 86],
-    180: [73, 74, 75, 76, 86],
-    190: [73, 74, 75, 86],
-    200: [72, 73, 74, 75, 86],
-    210: [71, 72, 73, 74, 86],
-    220: [71, 72, 73, 74, 86],
-    230: [70, 71, 72, 73, 86],
-    240: [69, 70, 71, 72, 86],
-    250: [68, 69, 70, 71, 86],
-    260: [67, 68, 69, 70, 71, 86],
-    270: [66, 67, 68, 69, 86],
-    280: [64, 65, 66, 67, 68, 69, 86],
-    290: [63, 64, 65, 66, 67, 68, 86],
-    300: [62, 63, 64, 65, 66, 67, 86],
-    310: [60, 61, 62, 63, 64, 65, 86],
-    320: [59, 60, 61, 62, 63, 64, 86],
-    330: [56, 57, 58, 59, 60, 61, 62, 63, 86],
-    340: [55, 56, 57, 58, 59, 60, 86],
-    350: [52, 53, 54, 55, 56, 57, 58, 59, 86],
-    360: [50, 51, 52, 53, 54, 55, 56],
-    370: [46, 47, 48, 49, 50, 51, 52, 53, 54],
-    380: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
-    390: [40, 41, 42, 43, 44, 45, 46, 47, 48],
-    400: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
-    410: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
-    420: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
-    430: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33],
-    440: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
-    450: [11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22],
-    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 87],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8],
-    480: [0, 1, 2, 354, 355, 356, 357, 358, 359],
-    490: [87, 352, 353, 354, 355, 356],
-  },
-  220: {
-    0: [80, 81, 85],
-    10: [80, 81, 85],
-    20: [79, 80, 81, 85],
-    30: [79, 80, 85],
-    40: [79, 80, 85],
-    50: [78, 79, 80, 85],
-    60: [78, 79, 80, 85],
-    70: [78, 79, 85],
-    80: [77, 78, 79, 85, 86],
-    90: [77, 78, 79, 86],
-    100: [76, 77, 78, 86],
-    110: [76, 77, 78, 86],
-    120: [75, 76, 77, 86],
-    130: [75, 76, 77, 86],
-    140: [74, 75, 76, 86],
-    150: [74, 75, 76, 86],
-    160: [73, 74, 75, 76, 86],
-    170: [72, 73, 74, 75, 86],
-    180: [72, 73, 74, 86],
-    190: [71, 72, 73, 74, 86],
-    200: [70, 71, 72, 73, 86],
-    210: [70, 71, 72, 86],
-    220: [69, 70, 71, 72, 86],
-    230: [68, 69, 70, 71, 86],
-    240: [67, 68, 69, 70, 86],
-    250: [66, 67, 68, 69, 70, 86],
-    260: [65, 66, 67, 68, 69, 86],
-    270: [64, 65, 66, 67, 68, 86],
-    280: [62, 63, 64, 65, 66, 67, 86],
-    290: [61, 62, 63, 64, 65, 86],
-    300: [59, 60, 61, 62, 63, 64, 86],
-    310: [58, 59, 60, 61, 62, 86],
-    320: [56, 57, 58, 59, 60, 61, 62, 86],
-    330: [54, 55, 56, 57, 58, 59, 86],
-    340: [52, 53, 54, 55, 56, 57, 58, 86],
-    350: [50, 51, 52, 53, 54, 55, 86],
-    360: [46, 47, 48, 49, 50, 51, 52, 53, 54, 86],
-    370: [45, 46, 47, 48, 49, 50, 51, 86],
-    380: [41, 42, 43, 44, 45, 46, 47, 48, 49, 86],
-    390: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 86],
-    400: [35, 36, 37, 38, 39, 40, 41, 86],
-    410: [29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 86],
-    420: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 86],
-    430: [21, 22, 23, 24, 25, 26, 27, 28, 29, 86],
-    440: [16, 17, 18, 19, 20, 21, 22, 23, 24, 86],
-    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 86],
-    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 86],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 86, 358, 359],
-    480: [0, 1, 2, 3, 4, 86, 352, 353, 354, 355, 356, 357, 358, 359],
-    490: [86, 352, 353, 354, 355, 356, 357, 358],
-    500: [352],
-  },
-  230: {
-    0: [79, 80, 85],
-    10: [79, 80, 85],
-    20: [79, 80, 85],
-    30: [78, 79, 85],
-    40: [78, 79, 85],
-    50: [77, 78, 79, 85],
-    60: [77, 78, 85],
-    70: [76, 77, 78, 85],
-    80: [76, 77, 78, 85],
-    90: [75, 76, 77, 85],
-    100: [75, 76, 77, 85],
-    110: [75, 76, 85],
-    120: [74, 75, 76, 85],
-    130: [74, 75, 76, 85],
-    140: [73, 74, 75, 85],
-    150: [72, 73, 74, 75, 85],
-    160: [72, 73, 74, 85],
-    170: [71, 72, 73, 85],
-    180: [70, 71, 72, 73, 85],
-    190: [69, 70, 71, 72, 85],
-    200: [69, 70, 71, 85],
-    210: [68, 69, 70, 71, 85],
-    220: [67, 68, 69, 70, 85],
-    230: [66, 67, 68, 69, 85],
-    240: [65, 66, 67, 68, 69, 85],
-    250: [64, 65, 66, 67, 68],
-    260: [63, 64, 65, 66],
-    270: [61, 62, 63, 64, 65, 66],
-    280: [60, 61, 62, 63, 64, 86],
-    290: [59, 60, 61, 62, 63, 86],
-    300: [57, 58, 59, 60, 61, 62, 86],
-    310: [55, 56, 57, 58, 59, 60, 86],
-    320: [53, 54, 55, 56, 57, 58, 59, 86],
-    330: [52, 53, 54, 55, 56, 57, 86],
-    340: [49, 50, 51, 52, 53, 54, 55, 86],
-    350: [47, 48, 49, 50, 51, 52, 53, 86],
-    360: [45, 46, 47, 48, 49, 50, 86],
-    370: [41, 42, 43, 44, 45, 46, 47, 48, 49, 86],
-    380: [39, 40, 41, 42, 43, 44, 45, 86],
-    390: [35, 36, 37, 38, 39, 40, 41, 42, 43, 86],
-    400: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 86],
-    410: [29, 30, 31, 32, 33, 34, 35, 86],
-    420: [23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 86],
-    430: [18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 86],
-    440: [14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 86],
-    450: [9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 86],
-    460: [5, 6, 7, 8, 9, 10, 11, 12, 13, 86],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 86],
-    480: [0, 1, 2, 86, 355, 356, 357, 358, 359],
-    490: [86, 354, 355, 356, 357, 358],
-  },
-  240: {
-    0: [78, 79, 80, 84],
-    10: [78, 79, 84],
-    20: [78, 79, 84],
-    30: [77, 78, 84],
-    40: [77, 78, 84],
-    50: [76, 77, 78, 84],
-    60: [76, 77, 84, 85],
-    70: [75, 76, 77, 85],
-    80: [75, 76, 77, 85],
-    90: [74, 75, 76, 85],
-    100: [74, 75, 76, 85],
-    110: [73, 74, 75, 85],
-    120: [73, 74, 75, 85],
-    130: [72, 73, 74, 85],
-    140: [71, 72, 73, 74, 85],
-    150: [71, 72, 73, 85],
-    160: [70, 71, 72, 73, 85],
-    170: [70, 71, 72, 85],
-    180: [69, 70, 71, 85],
-    190: [68, 69, 70, 71, 85],
-    200: [67, 68, 69, 70, 85],
-    210: [66, 67, 68, 69, 85],
-    220: [65, 66, 67, 68, 85],
-    230: [64, 65, 66, 67, 68, 85],
-    240: [63, 64, 65, 66, 67, 85],
-    250: [62, 63, 64, 65, 85],
-    260: [61, 62, 63, 64, 65, 85],
-    270: [59, 60, 61, 62, 63, 85],
-    280: [58, 59, 60, 61, 62, 85],
-    290: [56, 57, 58, 59, 60, 61, 85],
-    300: [55, 56, 57, 58, 59, 85],
-    310: [53, 54, 55, 56, 57, 58, 85],
-    320: [52, 53, 54, 55, 56, 85],
-    330: [49, 50, 51, 52, 53, 54, 55, 85],
-    340: [48, 49, 50, 51, 52, 53, 85],
-    350: [45, 46, 47, 48, 49, 50, 51, 85],
-    360: [42, 43, 44, 45, 46, 47, 48, 49, 85],
-    370: [40, 41, 42, 43, 44, 45, 85],
-    380: [36, 37, 38, 39, 40, 41, 42, 43, 44, 85],
-    390: [34, 35, 36, 37, 38, 39, 40, 85],
-    400: [30, 31, 32, 33, 34, 35, 36, 37, 85],
-    410: [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 85],
-    420: [22, 23, 24, 25, 26, 27, 28, 29, 30, 85],
-    430: [19, 20, 21, 22, 23, 24, 25, 85],
-    440: [14, 15, 16, 17, 18, 19, 20, 21, 85],
-    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 85],
-    460: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 359],
-    480: [0, 1, 2, 3, 4, 85, 354, 355, 356, 357, 358, 359],
-    490: [354, 355, 356, 357, 358, 359],
-    500: [354],
-  },
-  250: {
-    0: [77, 78, 79, 84],
-    10: [77, 78, 84],
-    20: [77, 78, 84],
-    30: [76, 77, 78, 84],
-    40: [76, 77, 84],
-    50: [75, 76, 77, 84],
-    60: [75, 76, 84],
-    70: [74, 75, 76, 84],
-    80: [74, 75, 84],
-    90: [73, 74, 75, 84],
-    100: [73, 74, 75, 84],
-    110: [72, 73, 74, 84],
-    120: [72, 73, 74, 84],
-    130: [71, 72, 73, 84],
-    140: [70, 71, 72, 84],
-    150: [70, 71, 72, 84],
-    160: [69, 70, 71, 84],
-    170: [68, 69, 70, 71, 84],
-    180: [67, 68, 69, 70, 84],
-    190: [67, 68, 69],
-    200: [66, 67, 68, 69, 85],
-    210: [65, 66, 67, 68, 85],
-    220: [64, 65, 66, 67, 85],
-    230: [63, 64, 65, 66, 85],
-    240: [62, 63, 64, 65, 85],
-    250: [60, 61, 62, 63, 64, 85],
-    260: [59, 60, 61, 62, 63, 85],
-    270: [58, 59, 60, 61, 85],
-    280: [56, 57, 58, 59, 60, 61, 85],
-    290: [55, 56, 57, 58, 59, 85],
-    300: [53, 54, 55, 56, 57, 58, 85],
-    310: [52, 53, 54, 55, 85],
-    320: [49, 50, 51, 52, 53, 54, 55, 85],
-    330: [48, 49, 50, 51, 52, 85],
-    340: [45, 46, 47, 48, 49, 50, 51, 85],
-    350: [43, 44, 45, 46, 47, 48, 85],
-    360: [40, 41, 42, 43, 44, 45, 46, 85],
-    370: [37, 38, 39, 40, 41, 42, 43, 44, 85],
-    380: [35, 36, 37, 38, 39, 40, 85],
-    390: [31, 32, 33, 34, 35, 36, 37, 38, 85],
-    400: [28, 29, 30, 31, 32, 33, 34, 35, 85],
-    410: [26, 27, 28, 29, 30, 31, 85],
-    420: [21, 22, 23, 24, 25, 26, 27, 28, 85],
-    430: [16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 85],
-    440: [12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 85],
-    450: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 85],
-    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 85],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 85],
-    480: [0, 1, 2, 3, 85, 356, 357, 358, 359],
-    490: [356, 357, 358, 359],
-  },
-  260: {
-    0: [77, 78, 83],
-    10: [76, 77, 83],
-    20: [76, 77, 83],
-    30: [75, 76, 77, 83],
-    40: [75, 76, 83],
-    50: [74, 75, 76, 83, 84],
-    60: [74, 75, 84],
-    70: [73, 74, 75, 84],
-    80: [73, 74, 84],
-    90: [72, 73, 74, 84],
-    100: [72, 73, 84],
-    110: [71, 72, 73, 84],
-    120: [70, 71, 72, 84],
-    130: [70, 71, 72, 84],
-    140: [69, 70, 71, 84],
-    150: [68, 69, 70, 71, 84],
-    160: [67, 68, 69, 70, 84],
-    170: [67, 68, 69, 84],
-    180: [66, 67, 68, 84],
-    190: [65, 66, 67, 68, 84],
-    200: [64, 65, 66, 67, 84],
-    210: [63, 64, 65, 66, 84],
-    220: [62, 63, 64, 65, 84],
-    230: [61, 62, 63, 64, 84],
-    240: [60, 61, 62, 63, 84],
-    250: [59, 60, 61, 62, 84],
-    260: [58, 59, 60, 61, 84],
-    270: [56, 57, 58, 59, 60, 84],
-    280: [55, 56, 57, 58, 84],
-    290: [53, 54, 55, 56, 57, 84],
-    300: [51, 52, 53, 54, 55, 84],
-    310: [50, 51, 52, 53, 54, 84],
-    320: [48, 49, 50, 51, 52, 84],
-    330: [45, 46, 47, 48, 49, 50, 51, 84],
-    340: [44, 45, 46, 47, 48, 84],
-    350: [41, 42, 43, 44, 45, 46, 47],
-    360: [39, 40, 41, 42, 43, 44],
-    370: [36, 37, 38, 39, 40, 41, 42],
-    380: [33, 34, 35, 36, 37, 38, 39],
-    390: [31, 32, 33, 34, 35, 36],
-    400: [27, 28, 29, 30, 31, 32, 33],
-    410: [23, 24, 25, 26, 27, 28, 29, 30],
-    420: [20, 21, 22, 23, 24, 25, 26, 27],
-    430: [17, 18, 19, 20, 21, 22, 23, 85],
-    440: [13, 14, 15, 16, 17, 18, 85],
-    450: [8, 9, 10, 11, 12, 13, 14, 15, 85],
-    460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 85],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 85, 359],
-    480: [0, 1, 2, 3, 4, 85, 356, 357, 358, 359],
-    490: [356, 357, 358, 359],
-  },
-  270: {
-    0: [76, 77, 83],
-    10: [75, 76, 77, 83],
-    20: [75, 76, 83],
-    30: [74, 75, 76, 83],
-    40: [74, 75, 83],
-    50: [73, 74, 75, 83],
-    60: [73, 74, 83],
-    70: [72, 73, 74, 83],
-    80: [72, 73, 83],
-    90: [71, 72, 73, 83],
-    100: [70, 71, 72, 83],
-    110: [70, 71, 72, 83],
-    120: [69, 70, 71, 83],
-    130: [69, 70, 71, 83],
-    140: [68, 69, 70, 83],
-    150: [67, 68, 69, 84],
-    160: [66, 67, 68, 84],
-    170: [66, 67, 68, 84],
-    180: [65, 66, 67, 84],
-    190: [64, 65, 66, 84],
-    200: [63, 64, 65, 84],
-    210: [62, 63, 64, 65, 84],
-    220: [61, 62, 63, 64, 84],
-    230: [60, 61, 62, 63, 84],
-    240: [58, 59, 60, 61, 62, 84],
-    250: [57, 58, 59, 60, 84],
-    260: [56, 57, 58, 59, 84],
-    270: [54, 55, 56, 57, 58, 84],
-    280: [53, 54, 55, 56, 57, 84],
-    290: [51, 52, 53, 54, 55, 84],
-    300: [50, 51, 52, 53, 54, 84],
-    310: [48, 49, 50, 51, 52, 84],
-    320: [46, 47, 48, 49, 50, 51, 84],
-    330: [44, 45, 46, 47, 48, 84],
-    340: [42, 43, 44, 45, 46, 47, 84],
-    350: [40, 41, 42, 43, 44, 84],
-    360: [37, 38, 39, 40, 41, 42, 84],
-    370: [34, 35, 36, 37, 38, 39, 40, 84],
-    380: [32, 33, 34, 35, 36, 37, 84],
-    390: [28, 29, 30, 31, 32, 33, 34, 35, 84],
-    400: [25, 26, 27, 28, 29, 30, 31, 32, 84],
-    410: [23, 24, 25, 26, 27, 28, 84],
-    420: [19, 20, 21, 22, 23, 24, 25, 84],
-    430: [15, 16, 17, 18, 19, 20, 21, 22, 84],
-    440: [11, 12, 13, 14, 15, 16, 17, 18, 19, 84],
-    450: [8, 9, 10, 11, 12, 13, 14, 15, 84],
-    460: [4, 5, 6, 7, 8, 9, 10, 11, 84],
-    470: [1, 2, 3, 4, 5, 6, 7, 84],
-    480: [0, 1, 2, 3, 84, 357, 358, 359],
-    490: [0, 357, 358, 359],
-  },
-  280: {
-    0: [75, 76, 82],
-    10: [75, 76, 82],
-    20: [74, 75, 82],
-    30: [74, 75, 82],
-    40: [73, 74, 82, 83],
-    50: [72, 73, 74, 83],
-    60: [72, 73, 83],
-    70: [71, 72, 73, 83],
-    80: [71, 72, 83],
-    90: [70, 71, 72, 83],
-    100: [70, 71, 83],
-    110: [69, 70, 71, 83],
-    120: [68, 69, 70, 83],
-    130: [67, 68, 69, 83],
-    140: [67, 68, 69, 83],
-    150: [66, 67, 68, 83],
-    160: [65, 66, 67, 83],
-    170: [64, 65, 66, 67, 83],
-    180: [63, 64, 65, 66, 83],
-    190: [63, 64, 65, 83],
-    200: [61, 62, 63, 64, 83],
-    210: [60, 61, 62, 63, 83],
-    220: [60, 61, 62, 83],
-    230: [58, 59, 60, 61, 83],
-    240: [57, 58, 59, 60, 83],
-    250: [56, 57, 58, 59, 83],
-    260: [54, 55, 56, 57, 58, 83],
-    270: [53, 54, 55, 56],
-    280: [51, 52, 53, 54, 55],
-    290: [50, 51, 52, 53, 54],
-    300: [48, 49, 50, 51, 52],
-    310: [47, 48, 49, 50, 84],
-    320: [44, 45, 46, 47, 48, 49, 84],
-    330: [42, 43, 44, 45, 46, 47, 84],
-    340: [40, 41, 42, 43, 44, 45, 84],
-    350: [38, 39, 40, 41, 42, 43, 84],
-    360: [36, 37, 38, 39, 40, 84],
-    370: [33, 34, 35, 36, 37, 38, 84],
-    380: [30, 31, 32, 33, 34, 35, 36, 84],
-    390: [28, 29, 30, 31, 32, 33, 84],
-    400: [24, 25, 26, 27, 28, 29, 30, 84],
-    410: [21, 22, 23, 24, 25, 26, 27, 84],
-    420: [18, 19, 20, 21, 22, 23, 24, 84],
-    430: [15, 16, 17, 18, 19, 20, 21, 84],
-    440: [12, 13, 14, 15, 16, 17, 84],
-    450: [8, 9, 10, 11, 12, 13, 14, 84],
-    460: [4, 5, 6, 7, 8, 9, 10, 84],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 84],
-    480: [0, 1, 2, 3, 84, 357, 358, 359],
-    490: [0, 84, 357, 358, 359],
-  },
-  290: {
-    0: [74, 75, 82],
-    10: [74, 75, 82],
-    20: [73, 74, 82],
-    30: [73, 74, 82],
-    40: [72, 73, 82],
-    50: [72, 73, 82],
-    60: [71, 72, 82],
-    70: [70, 71, 72, 82],
-    80: [70, 71, 82],
-    90: [69, 70, 71, 82],
-    100: [68, 69, 70, 82],
-    110: [68, 69, 70, 82],
-    120: [67, 68, 69, 82, 83],
-    130: [66, 67, 68, 83],
-    140: [66, 67, 68, 83],
-    150: [65, 66, 67, 83],
-    160: [64, 65, 66, 83],
-    170: [63, 64, 65, 83],
-    180: [62, 63, 64, 83],
-    190: [61, 62, 63, 64, 83],
-    200: [60, 61, 62, 63, 83],
-    210: [59, 60, 61, 62, 83],
-    220: [58, 59, 60, 61, 83],
-    230: [57, 58, 59, 60, 83],
-    240: [56, 57, 58, 59, 83],
-    250: [54, 55, 56, 57, 83],
-    260: [53, 54, 55, 56, 83],
-    270: [51, 52, 53, 54, 55, 83],
-    280: [50, 51, 52, 53, 83],
-    290: [48, 49, 50, 51, 52, 83],
-    300: [47, 48, 49, 50, 83],
-    310: [45, 46, 47, 48, 49, 83],
-    320: [43, 44, 45, 46, 47, 83],
-    330: [41, 42, 43, 44, 45, 83],
-    340: [39, 40, 41, 42, 43, 83],
-    350: [37, 38, 39, 40, 41, 83],
-    360: [34, 35, 36, 37, 38, 39, 83],
-    370: [32, 33, 34, 35, 36, 37, 83],
-    380: [29, 30, 31, 32, 33, 34, 83],
-    390: [26, 27, 28, 29, 30, 31, 32, 83],
-    400: [23, 24, 25, 26, 27, 28, 29, 83],
-    410: [21, 22, 23, 24, 25, 26, 83],
-    420: [17, 18, 19, 20, 21, 22, 23, 83],
-    430: [14, 15, 16, 17, 18, 19, 20, 83],
-    440: [11, 12, 13, 14, 15, 16, 17],
-    450: [7, 8, 9, 10, 11, 12, 13, 14],
-    460: [4, 5, 6, 7, 8, 9, 10, 11],
-    470: [1, 2, 3, 4, 5, 6, 7],
-    480: [0, 1, 2, 3, 4, 358, 359],
-    490: [0, 358, 359],
-  },
-  300: {
-    0: [73, 74, 75, 81],
-    10: [73, 74, 81],
-    20: [72, 73, 74, 81],
-    30: [72, 73, 81, 82],
-    40: [71, 72, 73, 81, 82],
-    50: [71, 72, 82],
-    60: [70, 71, 82],
-    70: [69, 70, 71, 82],
-    80: [69, 70, 82],
-    90: [68, 69, 70, 82],
-    100: [67, 68, 69, 82],
-    110: [67, 68, 82],
-    120: [66, 67, 68, 82],
-    130: [65, 66, 67, 82],
-    140: [64, 65, 66, 82],
-    150: [64, 65, 66, 82],
-    160: [63, 64, 65, 82],
-    170: [62, 63, 64, 82],
-    180: [61, 62, 63, 82],
-    190: [60, 61, 62, 82],
-    200: [59, 60, 61, 82],
-    210: [58, 59, 60, 61, 82],
-    220: [57, 58, 59, 82],
-    230: [56, 57, 58],
-    240: [54, 55, 56, 57, 83],
-    250: [53, 54, 55, 56, 83],
-    260: [51, 52, 53, 54, 55, 83],
-    270: [50, 51, 52, 53, 83],
-    280: [48, 49, 50, 51, 52, 83],
-    290: [47, 48, 49, 50, 83],
-    300: [45, 46, 47, 48, 49, 83],
-    310: [44, 45, 46, 47, 83],
-    320: [41, 42, 43, 44, 45, 46, 83],
-    330: [40, 41, 42, 43, 44, 83],
-    340: [37, 38, 39, 40, 41, 42, 83],
-    350: [35, 36, 37, 38, 39, 40, 83],
-    360: [33, 34, 35, 36, 37, 83],
-    370: [30, 31, 32, 33, 34, 35, 83],
-    380: [28, 29, 30, 31, 32, 33, 83],
-    390: [26, 27, 28, 29, 30, 83],
-    400: [22, 23, 24, 25, 26, 27, 83],
-    410: [19, 20, 21, 22, 23, 24, 25, 83],
-    420: [17, 18, 19, 20, 21, 22, 83],
-    430: [14, 15, 16, 17, 18, 19, 83],
-    440: [12, 13, 14, 15, 16, 83],
-    450: [8, 9, 10, 11, 12, 83],
-    460: [4, 5, 6, 7, 8, 9, 83],
-    470: [1, 2, 3, 4, 5, 6, 83],
-    480: [0, 1, 2, 3, 83, 358, 359],
-    490: [0, 83, 358, 359],
-  },
-  310: {
-    0: [73, 74, 80, 81],
-    10: [72, 73, 81],
-    20: [72, 73, 81],
-    30: [71, 72, 81],
-    40: [70, 71, 72, 81],
-    50: [70, 71, 81],
-    60: [69, 70, 71, 81],
-    70: [69, 70, 81],
-    80: [68, 69, 81],
-    90: [67, 68, 69, 81],
-    100: [67, 68, 81],
-    110: [66, 67, 82],
-    120: [65, 66, 67, 82],
-    130: [64, 65, 66, 82],
-    140: [63, 64, 65, 82],
-    150: [63, 64, 65, 82],
-    160: [62, 63, 64, 82],
-    170: [61, 62, 63, 82],
-    180: [60, 61, 62, 82],
-    190: [59, 60, 61, 82],
-    200: [58, 59, 60, 82],
-    210: [57, 58, 59, 82],
-    220: [56, 57, 58, 82],
-    230: [54, 55, 56, 57, 82],
-    240: [53, 54, 55, 56, 82],
-    250: [52, 53, 54, 55, 82],
-    260: [50, 51, 52, 53, 82],
-    270: [49, 50, 51, 52, 82],
-    280: [47, 48, 49, 50, 82],
-    290: [46, 47, 48, 49, 82],
-    300: [44, 45, 46, 47, 82],
-    310: [42, 43, 44, 45, 46, 82],
-    320: [41, 42, 43, 44, 82],
-    330: [38, 39, 40, 41, 42, 82],
-    340: [36, 37, 38, 39, 40, 82],
-    350: [34, 35, 36, 37, 38, 82],
-    360: [32, 33, 34, 35, 36],
-    370: [30, 31, 32, 33, 34],
-    380: [27, 28, 29, 30, 31],
-    390: [24, 25, 26, 27, 28, 29],
-    400: [22, 23, 24, 25, 26, 27],
-    410: [20, 21, 22, 23, 24, 83],
-    420: [16, 17, 18, 19, 20, 21, 83],
-    430: [13, 14, 15, 16, 17, 18, 83],
-    440: [10, 11, 12, 13, 14, 15, 16, 83],
-    450: [7, 8, 9, 10, 11, 12, 13, 83],
-    460: [4, 5, 6, 7, 8, 9, 10, 83],
-    470: [1, 2, 3, 4, 5, 6, 7, 83],
-    480: [0, 1, 2, 3, 4, 83, 359],
-    490: [0, 1, 83, 359],
-  },
-  320: {
-    0: [72, 73, 80],
-    10: [71, 72, 73, 80],
-    20: [71, 72, 80],
-    30: [70, 71, 80, 81],
-    40: [70, 71, 80, 81],
-    50: [69, 70, 81],
-    60: [68, 69, 70, 81],
-    70: [68, 69, 81],
-    80: [67, 68, 81],
-    90: [66, 67, 68, 81],
-    100: [65, 66, 67, 81],
-    110: [65, 66, 81],
-    120: [64, 65, 66, 81],
-    130: [63, 64, 65, 81],
-    140: [62, 63, 64, 81],
-    150: [61, 62, 63, 81],
-    160: [60, 61, 62, 63, 81],
-    170: [60, 61, 62, 81],
-    180: [59, 60, 61, 81],
-    190: [58, 59, 60, 81],
-    200: [56, 57, 58, 59],
-    210: [55, 56, 57, 58, 82],
-    220: [54, 55, 56, 57, 82],
-    230: [53, 54, 55, 56, 82],
-    240: [52, 53, 54, 55, 82],
-    250: [50, 51, 52, 53, 82],
-    260: [49, 50, 51, 52, 82],
-    270: [47, 48, 49, 50, 82],
-    280: [46, 47, 48, 49, 82],
-    290: [44, 45, 46, 47, 48, 82],
-    300: [43, 44, 45, 46, 82],
-    310: [41, 42, 43, 44, 82],
-    320: [39, 40, 41, 42, 43, 82],
-    330: [38, 39, 40, 41, 82],
-    340: [35, 36, 37, 38, 39, 82],
-    350: [33, 34, 35, 36, 37, 82],
-    360: [31, 32, 33, 34, 35, 82],
-    370: [28, 29, 30, 31, 32, 33, 82],
-    380: [26, 27, 28, 29, 30, 31, 82],
-    390: [24, 25, 26, 27, 28, 82],
-    400: [21, 22, 23, 24, 25, 82],
-    410: [18, 19, 20, 21, 22, 23, 82],
-    420: [16, 17, 18, 19, 20, 21, 82],
-    430: [13, 14, 15, 16, 17, 18, 82],
-    440: [11, 12, 13, 14, 15, 82],
-    450: [8, 9, 10, 11, 12, 82],
-    460: [5, 6, 7, 8, 9, 82],
-    470: [2, 3, 4, 5, 6, 82],
-    480: [0, 1, 2, 3, 82, 359],
-    490: [0, 82, 359],
-  },
-  330: {
-    0: [71, 72, 79, 80],
-    10: [71, 72, 80],
-    20: [70, 71, 80],
-    30: [69, 70, 71, 80],
-    40: [69, 70, 80],
-    50: [68, 69, 80],
-    60: [67, 68, 69, 80],
-    70: [67, 68, 80],
-    80: [66, 67, 68, 80],
-    90: [65, 66, 67, 80, 81],
-    100: [65, 66, 81],
-    110: [64, 65, 66, 81],
-    120: [63, 64, 65, 81],
-    130: [62, 63, 64, 81],
-    140: [61, 62, 63, 81],
-    150: [60, 61, 62, 81],
-    160: [60, 61, 62, 81],
-    170: [59, 60, 61, 81],
-    180: [57, 58, 59, 60, 81],
-    190: [57, 58, 59, 81],
-    200: [55, 56, 57, 58, 81],
-    210: [54, 55, 56, 57, 81],
-    220: [53, 54, 55, 56, 81],
-    230: [52, 53, 54, 55, 81],
-    240: [51, 52, 53, 81],
-    250: [49, 50, 51, 52, 81],
-    260: [48, 49, 50, 51, 81],
-    270: [46, 47, 48, 49, 50, 81],
-    280: [45, 46, 47, 48, 81],
-    290: [43, 44, 45, 46, 47],
-    300: [42, 43, 44, 45],
-    310: [40, 41, 42, 43],
-    320: [38, 39, 40, 41],
-    330: [36, 37, 38, 39, 40, 82],
-    340: [34, 35, 36, 37, 38, 82],
-    350: [32, 33, 34, 35, 36, 82],
-    360: [30, 31, 32, 33, 34, 82],
-    370: [28, 29, 30, 31, 32, 82],
-    380: [25, 26, 27, 28, 29, 82],
-    390: [23, 24, 25, 26, 27, 82],
-    400: [20, 21, 22, 23, 24, 25, 82],
-    410: [18, 19, 20, 21, 22, 23, 82],
-    420: [16, 17, 18, 19, 82],
-    430: [13, 14, 15, 16, 17, 82],
-    440: [10, 11, 12, 13, 14, 15, 82],
-    450: [7, 8, 9, 10, 11, 12, 82],
-    460: [4, 5, 6, 7, 8, 9, 10, 82],
-    470: [2, 3, 4, 5, 6, 7, 82],
-    480: [0, 1, 2, 3, 4, 82, 359],
-    490: [0, 1, 2, 82, 359],
-    500: [359],
-  },
-  340: {
-    0: [71, 72, 79],
-    10: [70, 71, 79],
-    20: [69, 70, 79],
-    30: [69, 70, 79, 80],
-    40: [68, 69, 79, 80],
-    50: [67, 68, 69, 80],
-    60: [67, 68, 80],
-    70: [66, 67, 80],
-    80: [65, 66, 67, 80],
-    90: [64, 65, 66, 80],
-    100: [64, 65, 80],
-    110: [63, 64, 65, 80],
-    120: [62, 63, 64, 80],
-    130: [61, 62, 63, 80],
-    140: [60, 61, 62, 80],
-    150: [60, 61, 80],
-    160: [58, 59, 60, 61, 80],
-    170: [57, 58, 59, 81],
-    180: [57, 58, 59, 81],
-    190: [55, 56, 57, 58, 81],
-    200: [54, 55, 56, 57, 81],
-    210: [53, 54, 55, 56, 81],
-    220: [52, 53, 54, 55, 81],
-    230: [51, 52, 53, 81],
-    240: [50, 51, 52, 81],
-    250: [48, 49, 50, 51, 81],
-    260: [47, 48, 49, 50, 81],
-    270: [45, 46, 47, 48, 81],
-    280: [44, 45, 46, 47, 81],
-    290: [42, 43, 44, 45, 81],
-    300: [41, 42, 43, 44, 81],
-    310: [39, 40, 41, 42, 81],
-    320: [37, 38, 39, 40, 41, 81],
-    330: [36, 37, 38, 39, 81],
-    340: [33, 34, 35, 36, 37, 81],
-    350: [31, 32, 33, 34, 35, 81],
-    360: [29, 30, 31, 32, 33, 81],
-    370: [27, 28, 29, 30, 31, 81],
-    380: [25, 26, 27, 28, 29, 81],
-    390: [23, 24, 25, 26, 27, 81],
-    400: [20, 21, 22, 23, 24, 81],
-    410: [17, 18, 19, 20, 21, 22, 81],
-    420: [15, 16, 17, 18, 19, 20],
-    430: [12, 13, 14, 15, 16, 17],
-    440: [10, 11, 12, 13, 14, 15],
-    450: [8, 9, 10, 11, 12],
-    460: [6, 7, 8, 9],
-    470: [3, 4, 5, 6],
-    480: [0, 1, 2, 3],
-    490: [0, 1, 82, 359],
-  },
-  350: {
-    0: [70, 71, 78, 79],
-    10: [69, 70, 78, 79],
-    20: [69, 70, 79],
-    30: [68, 69, 79],
-    40: [67, 68, 69, 79],
-    50: [67, 68, 79],
-    60: [66, 67, 79],
-    70: [65, 66, 67, 79],
-    80: [64, 65, 66, 79, 80],
-    90: [64, 65, 79, 80],
-    100: [63, 64, 80],
-    110: [62, 63, 64, 80],
-    120: [61, 62, 63, 80],
-    130: [60, 61, 62, 80],
-    140: [59, 60, 61, 80],
-    150: [58, 59, 60, 80],
-    160: [58, 59, 60, 80],
-    170: [57, 58, 59, 80],
-    180: [55, 56, 57, 58, 80],
-    190: [54, 55, 56, 57, 80],
-    200: [54, 55, 56, 80],
-    210: [52, 53, 54, 55, 80],
-    220: [51, 52, 53, 80],
-    230: [50, 51, 52, 80],
-    240: [48, 49, 50, 51, 80],
-    250: [47, 48, 49, 50],
-    260: [46, 47, 48],
-    270: [44, 45, 46, 47, 81],
-    280: [43, 44, 45, 46, 81],
-    290: [41, 42, 43, 44, 81],
-    300: [39, 40, 41, 42, 81],
-    310: [38, 39, 40, 41, 81],
-    320: [36, 37, 38, 39, 81],
-    330: [34, 35, 36, 37, 38, 81],
-    340: [33, 34, 35, 36, 81],
-    350: [30, 31, 32, 33, 34, 81],
-    360: [28, 29, 30, 31, 32, 81],
-    370: [26, 27, 28, 29, 30, 81],
-    380: [24, 25, 26, 27, 28, 81],
-    390: [22, 23, 24, 25, 26, 81],
-    400: [19, 20, 21, 22, 23, 24, 81],
-    410: [17, 18, 19, 20, 21, 81],
-    420: [15, 16, 17, 18, 19, 81],
-    430: [13, 14, 15, 16, 81],
-    440: [10, 11, 12, 13, 14, 81],
-    450: [7, 8, 9, 10, 11, 12, 81],
-    460: [5, 6, 7, 8, 9, 81],
-    470: [2, 3, 4, 5, 6, 7, 81],
-    480: [0, 1, 2, 3, 4, 81],
-    490: [0, 1, 2],
-  },
-  360: {
-    0: [69, 70, 78],
-    10: [69, 70, 78],
-    20: [68, 69, 78],
-    30: [67, 68, 78, 79],
-    40: [67, 68, 78, 79],
-    50: [66, 67, 79],
-    60: [65, 66, 79],
-    70: [64, 65, 66, 79],
-    80: [64, 65, 79],
-    90: [63, 64, 79],
-    100: [62, 63, 64, 79],
-    110: [61, 62, 63, 79],
-    120: [60, 61, 62, 79],
-    130: [59, 60, 61, 79],
-    140: [59, 60, 79],
-    150: [58, 59, 60, 79, 80],
-    160: [57, 58, 59, 80],
-    170: [56, 57, 58, 80],
-    180: [55, 56, 57, 80],
-    190: [54, 55, 56, 80],
-    200: [52, 53, 54, 55, 80],
-    210: [51, 52, 53, 54, 80],
-    220: [50, 51, 52, 53, 80],
-    230: [49, 50, 51, 80],
-    240: [48, 49, 50, 80],
-    250: [46, 47, 48, 49, 80],
-    260: [45, 46, 47, 48, 80],
-    270: [43, 44, 45, 46, 80],
-    280: [42, 43, 44, 45, 80],
-    290: [40, 41, 42, 43, 80],
-    300: [39, 40, 41, 42, 80],
-    310: [37, 38, 39, 40, 80],
-    320: [35, 36, 37, 38, 39, 80],
-    330: [34, 35, 36, 37, 80],
-    340: [31, 32, 33, 34, 35, 80],
-    350: [30, 31, 32, 33, 80],
-    360: [28, 29, 30, 31, 80],
-    370: [26, 27, 28, 29],
-    380: [23, 24, 25, 26, 27],
-    390: [21, 22, 23, 24, 25, 81],
-    400: [20, 21, 22, 23, 81],
-    410: [17, 18, 19, 20, 81],
-    420: [14, 15, 16, 17, 18, 19, 81],
-    430: [12, 13, 14, 15, 16, 81],
-    440: [10, 11, 12, 13, 14, 81],
-    450: [8, 9, 10, 11, 12, 81],
-    460: [5, 6, 7, 8, 9, 81],
-    470: [3, 4, 5, 6, 7, 81],
-    480: [1, 2, 3, 4, 81],
-    490: [0, 1, 2],
-  },
-  370: {
-    0: [69, 70, 77, 78],
-    10: [68, 69, 77, 78],
-    20: [67, 68, 78],
-    30: [67, 68, 78],
-    40: [66, 67, 78],
-    50: [65, 66, 78],
-    60: [64, 65, 66, 78],
-    70: [64, 65, 78],
-    80: [63, 64, 78, 79],
-    90: [62, 63, 79],
-    100: [61, 62, 63, 79],
-    110: [60, 61, 62, 79],
-    120: [59, 60, 61, 79],
-    130: [59, 60, 79],
-    140: [58, 59, 79],
-    150: [57, 58, 79],
-    160: [56, 57, 58, 79],
-    170: [55, 56, 57, 79],
-    180: [54, 55, 56, 79],
-    190: [53, 54, 55, 79],
-    200: [52, 53, 54, 79],
-    210: [50, 51, 52, 53, 79],
-    220: [49, 50, 51, 79],
-    230: [48, 49, 50, 80],
-    240: [47, 48, 49, 80],
-    250: [45, 46, 47, 48, 80],
-    260: [44, 45, 46, 80],
-    270: [43, 44, 45, 80],
-    280: [41, 42, 43, 44, 80],
-    290: [40, 41, 42, 80],
-    300: [38, 39, 40, 80],
-    310: [36, 37, 38, 39, 80],
-    320: [35, 36, 37, 80],
-    330: [33, 34, 35, 36, 80],
-    340: [31, 32, 33, 34, 80],
-    350: [29, 30, 31, 32, 80],
-    360: [27, 28, 29, 30, 80],
-    370: [25, 26, 27, 28, 29, 80],
-    380: [24, 25, 26, 80],
-    390: [21, 22, 23, 24, 80],
-    400: [19, 20, 21, 22, 80],
-    410: [16, 17, 18, 19, 20, 80],
-    420: [15, 16, 17, 18, 80],
-    430: [13, 14, 15, 16, 80],
-    440: [10, 11, 12, 13, 80],
-    450: [7, 8, 9, 10, 11, 80],
-    460: [5, 6, 7, 8, 9, 80],
-    470: [3, 4, 5, 6, 7, 80],
-    480: [1, 2, 3, 4, 5, 80],
-    490: [1, 2],
-  },
-  380: {
-    0: [68, 69, 77],
-    10: [67, 68, 69, 77],
-    20: [67, 68, 77],
-    30: [66, 67, 77],
-    40: [65, 66, 77, 78],
-    50: [64, 65, 66, 78],
-    60: [64, 65, 78],
-    70: [63, 64, 78],
-    80: [62, 63, 78],
-    90: [61, 62, 63, 78],
-    100: [60, 61, 62, 78],
-    110: [60, 61, 78],
-    120: [59, 60, 78],
-    130: [58, 59, 78],
-    140: [57, 58, 59, 78, 79],
-    150: [56, 57, 58, 79],
-    160: [55, 56, 57, 79],
-    170: [54, 55, 56, 79],
-    180: [53, 54, 55, 79],
-    190: [52, 53, 54, 79],
-    200: [51, 52, 53, 79],
-    210: [50, 51, 52, 79],
-    220: [48, 49, 50, 51, 79],
-    230: [47, 48, 49, 79],
-    240: [46, 47, 48, 79],
-    250: [44, 45, 46, 47, 79],
-    260: [43, 44, 45, 46, 79],
-    270: [42, 43, 44, 79],
-    280: [40, 41, 42, 43, 79],
-    290: [39, 40, 41, 79],
-    300: [37, 38, 39, 40, 79],
-    310: [35, 36, 37, 38],
-    320: [34, 35, 36, 37],
-    330: [32, 33, 34, 35, 80],
-    340: [30, 31, 32, 33, 80],
-    350: [28, 29, 30, 31, 32, 80],
-    360: [27, 28, 29, 30, 80],
-    370: [25, 26, 27, 80],
-    380: [22, 23, 24, 25, 26, 80],
-    390: [20, 21, 22, 23, 24, 80],
-    400: [19, 20, 21, 22, 80],
-    410: [17, 18, 19, 20, 80],
-    420: [14, 15, 16, 17, 18, 80],
-    430: [12, 13, 14, 15, 16, 80],
-    440: [10, 11, 12, 13, 14, 80],
-    450: [8, 9, 10, 11, 12, 80],
-    460: [5, 6, 7, 8, 9, 80],
-    470: [3, 4, 5, 6, 7, 80],
-    480: [1, 2, 3, 4, 5, 80],
-    490: [1, 2, 3, 80],
-  },
-  390: {
-    0: [68, 69, 76],
-    10: [67, 68, 76, 77],
-    20: [66, 67, 76, 77],
-    30: [65, 66, 77],
-    40: [65, 66, 77],
-    50: [64, 65, 77],
-    60: [63, 64, 77],
-    70: [62, 63, 64, 77],
-    80: [61, 62, 63, 77, 78],
-    90: [60, 61, 62, 78],
-    100: [60, 61, 78],
-    110: [59, 60, 78],
-    120: [58, 59, 60, 78],
-    130: [57, 58, 59, 78],
-    140: [56, 57, 58, 78],
-    150: [55, 56, 57, 78],
-    160: [54, 55, 56, 78],
-    170: [53, 54, 55, 78],
-    180: [52, 53, 54, 78],
-    190: [51, 52, 53, 78],
-    200: [50, 51, 52, 78],
-    210: [49, 50, 51, 79],
-    220: [47, 48, 49, 50, 79],
-    230: [46, 47, 48, 49, 79],
-    240: [45, 46, 47, 79],
-    250: [44, 45, 46, 79],
-    260: [42, 43, 44, 45, 79],
-    270: [41, 42, 43, 79],
-    280: [39, 40, 41, 42, 79],
-    290: [38, 39, 40, 41, 79],
-    300: [36, 37, 38, 39, 79],
-    310: [35, 36, 37, 38, 79],
-    320: [33, 34, 35, 36, 79],
-    330: [31, 32, 33, 34, 79],
-    340: [30, 31, 32, 33, 79],
-    350: [28, 29, 30, 31, 79],
-    360: [26, 27, 28, 29, 79],
-    370: [24, 25, 26, 27, 79],
-    380: [22, 23, 24, 25, 79],
-    390: [20, 21, 22, 23, 79],
-    400: [18, 19, 20, 21, 79],
-    410: [16, 17, 18, 19, 20, 79],
-    420: [14, 15, 16, 17, 18, 79],
-    430: [12, 13, 14, 15, 16],
-    440: [10, 11, 12, 13],
-    450: [8, 9, 10, 11],
-    460: [6, 7, 8, 9],
-    470: [3, 4, 5, 6, 7, 80],
-    480: [1, 2, 3, 4, 5, 80],
-    490: [1, 2, 3],
-  },
-  400: {
-    0: [67, 68, 75, 76],
-    10: [66, 67, 76],
-    20: [65, 66, 67, 76],
-    30: [65, 66, 76],
-    40: [64, 65, 76, 77],
-    50: [63, 64, 76, 77],
-    60: [62, 63, 64, 77],
-    70: [62, 63, 77],
-    80: [61, 62, 77],
-    90: [60, 61, 77],
-    100: [59, 60, 77],
-    110: [58, 59, 60, 77],
-    120: [57, 58, 59, 77],
-    130: [56, 57, 58, 77, 78],
-    140: [55, 56, 57, 78],
-    150: [54, 55, 56, 78],
-    160: [53, 54, 55, 78],
-    170: [52, 53, 54, 78],
-    180: [51, 52, 53, 78],
-    190: [50, 51, 52, 78],
-    200: [49, 50, 51, 78],
-    210: [48, 49, 50, 78],
-    220: [47, 48, 49, 78],
-    230: [45, 46, 47, 48, 78],
-    240: [44, 45, 46, 47, 78],
-    250: [43, 44, 45, 78],
-    260: [42, 43, 44, 78],
-    270: [40, 41, 42, 78],
-    280: [39, 40, 41, 78],
-    290: [37, 38, 39, 40, 79],
-    300: [36, 37, 38, 79],
-    310: [34, 35, 36, 37, 79],
-    320: [32, 33, 34, 35, 79],
-    330: [31, 32, 33, 34, 79],
-    340: [29, 30, 31, 32, 79],
-    350: [27, 28, 29, 30, 79],
-    360: [26, 27, 28, 29, 79],
-    370: [24, 25, 26, 27, 79],
-    380: [22, 23, 24, 25, 79],
-    390: [20, 21, 22, 23, 79],
-    400: [18, 19, 20, 21, 79],
-    410: [16, 17, 18, 19, 79],
-    420: [14, 15, 16, 17, 79],
-    430: [12, 13, 14, 15, 79],
-    440: [10, 11, 12, 13, 79],
-    450: [8, 9, 10, 11, 79],
-    460: [6, 7, 8, 9, 79],
-    470: [4, 5, 6, 7, 79],
-    480: [2, 3, 4, 5, 79],
-    490: [2, 3, 79],
-  },
-  410: {
-    0: [67, 68, 75],
-    10: [66, 67, 75, 76],
-    20: [65, 66, 75, 76],
-    30: [64, 65, 76],
-    40: [63, 64, 65, 76],
-    50: [62, 63, 64, 76],
-    60: [62, 63, 76],
-    70: [61, 62, 76],
-    80: [60, 61, 76, 77],
-    90: [59, 60, 61, 77],
-    100: [58, 59, 60, 77],
-    110: [57, 58, 59, 77],
-    120: [57, 58, 77],
-    130: [56, 57, 77],
-    140: [55, 56, 77],
-    150: [54, 55, 77],
-    160: [53, 54, 77],
-    170: [52, 53, 77],
-    180: [51, 52, 77],
-    190: [49, 50, 51, 77, 78],
-    200: [48, 49, 50, 78],
-    210: [47, 48, 49, 78],
-    220: [46, 47, 48, 78],
-    230: [45, 46, 47, 78],
-    240: [43, 44, 45, 46, 78],
-    250: [42, 43, 44, 78],
-    260: [41, 42, 43, 78],
-    270: [39, 40, 41, 42, 78],
-    280: [38, 39, 40, 78],
-    290: [36, 37, 38, 39, 78],
-    300: [35, 36, 37, 38, 78],
-    310: [33, 34, 35, 36, 78],
-    320: [32, 33, 34, 35, 78],
-    330: [30, 31, 32, 33, 78],
-    340: [28, 29, 30, 31, 78],
-    350: [27, 28, 29, 30, 78],
-    360: [25, 26, 27, 28, 78],
-    370: [23, 24, 25, 26, 78],
-    380: [21, 22, 23, 24, 25],
-    390: [20, 21, 22, 23],
-    400: [18, 19, 20, 79],
-    410: [16, 17, 18, 19, 79],
-    420: [14, 15, 16, 17, 79],
-    430: [12, 13, 14, 15, 79],
-    440: [10, 11, 12, 13, 79],
-    450: [8, 9, 10, 11, 79],
-    460: [6, 7, 8, 9, 79],
-    470: [4, 5, 6, 7, 79],
-    480: [2, 3, 4, 5, 79],
-    490: [2, 3, 79],
-  },
-  420: {
-    0: [66, 67, 74, 75],
-    10: [65, 66, 74, 75],
-    20: [64, 65, 66, 75],
-    30: [64, 65, 75],
-    40: [63, 64, 75, 76],
-    50: [62, 63, 75, 76],
-    60: [61, 62, 76],
-    70: [60, 61, 62, 76],
-    80: [59, 60, 61, 76],
-    90: [59, 60, 76],
-    100: [58, 59, 76],
-    110: [57, 58, 76],
-    120: [56, 57, 76, 77],
-    130: [55, 56, 77],
-    140: [54, 55, 56, 77],
-    150: [53, 54, 55, 77],
-    160: [52, 53, 54, 77],
-    170: [51, 52, 53, 77],
-    180: [50, 51, 52, 77],
-    190: [49, 50, 51, 77],
-    200: [48, 49, 77],
-    210: [47, 48, 49, 77],
-    220: [45, 46, 47, 77],
-    230: [44, 45, 46, 77],
-    240: [43, 44, 45, 77],
-    250: [41, 42, 43, 44, 77],
-    260: [40, 41, 42, 77],
-    270: [39, 40, 41, 78],
-    280: [37, 38, 39, 40, 78],
-    290: [36, 37, 38, 78],
-    300: [34, 35, 36, 37, 78],
-    310: [33, 34, 35, 36, 78],
-    320: [31, 32, 33, 34, 78],
-    330: [30, 31, 32, 78],
-    340: [28, 29, 30, 31, 78],
-    350: [26, 27, 28, 29, 78],
-    360: [25, 26, 27, 28, 78],
-    370: [23, 24, 25, 26, 78],
-    380: [21, 22, 23, 24, 78],
-    390: [19, 20, 21, 22, 78],
-    400: [17, 18, 19, 20, 21, 78],
-    410: [16, 17, 18, 19, 78],
-    420: [14, 15, 16, 17, 78],
-    430: [12, 13, 14, 15, 78],
-    440: [10, 11, 12, 13, 78],
-    450: [8, 9, 10, 11, 78],
-    460: [6, 7, 8, 9, 78],
-    470: [4, 5, 6, 7, 78],
-    480: [2, 3, 4, 5, 78],
-    490: [2, 3, 4],
-    500: [2],
-  },
-  430: {
-    0: [66, 67, 73, 74],
-    10: [65, 66, 74],
-    20: [64, 65, 74, 75],
-    30: [63, 64, 74, 75],
-    40: [62, 63, 75],
-    50: [61, 62, 63, 75],
-    60: [61, 62, 75],
-    70: [60, 61, 75],
-    80: [59, 60, 75, 76],
-    90: [58, 59, 76],
-    100: [57, 58, 76],
-    110: [56, 57, 58, 76],
-    120: [55, 56, 57, 76],
-    130: [54, 55, 56, 76],
-    140: [53, 54, 55, 76],
-    150: [52, 53, 54, 76],
-    160: [51, 52, 53, 76],
-    170: [50, 51, 52, 76],
-    180: [49, 50, 51, 76, 77],
-    190: [48, 49, 50, 77],
-    200: [47, 48, 49, 77],
-    210: [46, 47, 48, 77],
-    220: [45, 46, 47, 77],
-    230: [43, 44, 45, 77],
-    240: [42, 43, 44, 77],
-    250: [41, 42, 43, 77],
-    260: [40, 41, 42, 77],
-    270: [38, 39, 40, 77],
-    280: [37, 38, 39, 77],
-    290: [35, 36, 37, 38, 77],
-    300: [34, 35, 36, 77],
-    310: [32, 33, 34, 35, 77],
-    320: [31, 32, 33, 77],
-    330: [29, 30, 31, 32, 77],
-    340: [28, 29, 30],
-    350: [26, 27, 28, 29],
-    360: [25, 26, 27, 78],
-    370: [23, 24, 25, 78],
-    380: [21, 22, 23, 24, 78],
-    390: [19, 20, 21, 22, 78],
-    400: [18, 19, 20, 78],
-    410: [16, 17, 18, 78],
-    420: [14, 15, 16, 17, 78],
-    430: [12, 13, 14, 15, 78],
-    440: [10, 11, 12, 13, 78],
-    450: [8, 9, 10, 11, 78],
-    460: [6, 7, 8, 9, 78],
-    470: [5, 6, 7, 8, 78],
-    480: [3, 4, 5, 6, 78],
-    490: [2, 3, 4, 78],
-  },
-  440: {
-    0: [65, 66, 67, 73, 74],
-    10: [64, 65, 66, 73, 74],
-    20: [63, 64, 65, 74],
-    30: [63, 64, 74],
-    40: [62, 63, 74],
-    50: [61, 62, 74, 75],
-    60: [60, 61, 75],
-    70: [59, 60, 75],
-    80: [58, 59, 60, 75],
-    90: [57, 58, 59, 75],
-    100: [56, 57, 58, 75],
-    110: [55, 56, 57, 75],
-    120: [55, 56, 75, 76],
-    130: [54, 55, 76],
-    140: [53, 54, 76],
-    150: [52, 53, 76],
-    160: [51, 52, 76],
-    170: [50, 51, 76],
-    180: [49, 50, 76],
-    190: [47, 48, 49, 76],
-    200: [46, 47, 48, 76],
-    210: [45, 46, 47, 76],
-    220: [44, 45, 46, 76],
-    230: [43, 44, 45, 76],
-    240: [41, 42, 43, 44],
-    250: [40, 41, 42, 77],
-    260: [39, 40, 41, 77],
-    270: [38, 39, 40, 77],
-    280: [36, 37, 38, 77],
-    290: [35, 36, 37, 77],
-    300: [33, 34, 35, 36, 77],
-    310: [32, 33, 34, 77],
-    320: [30, 31, 32, 33, 77],
-    330: [29, 30, 31, 77],
-    340: [27, 28, 29, 30, 77],
-    350: [26, 27, 28, 77],
-    360: [24, 25, 26, 27, 77],
-    370: [22, 23, 24, 25, 77],
-    380: [21, 22, 23, 77],
-    390: [19, 20, 21, 77],
-    400: [17, 18, 19, 20, 77],
-    410: [15, 16, 17, 18, 77],
-    420: [14, 15, 16, 17, 77],
-    430: [12, 13, 14, 15],
-    440: [10, 11, 12, 13],
-    450: [8, 9, 10, 11],
-    460: [6, 7, 8, 9],
-    470: [5, 6, 7, 78],
-    480: [3, 4, 5, 6, 78],
-    490: [3, 4],
-  },
-  450: {
-    0: [65, 66, 72, 73],
-    10: [64, 65, 73],
-    20: [63, 64, 73],
-    30: [62, 63, 73, 74],
-    40: [61, 62, 74],
-    50: [60, 61, 62, 74],
-    60: [59, 60, 61, 74],
-    70: [59, 60, 74],
-    80: [58, 59, 74, 75],
-    90: [57, 58, 74, 75],
-    100: [56, 57, 75],
-    110: [55, 56, 75],
-    120: [54, 55, 75],
-    130: [53, 54, 55, 75],
-    140: [52, 53, 54, 75],
-    150: [51, 52, 53, 75],
-    160: [50, 51, 52, 75],
-    170: [49, 50, 51, 75, 76],
-    180: [48, 49, 50, 76],
-    190: [47, 48, 49, 76],
-    200: [46, 47, 48, 76],
-    210: [45, 46, 76],
-    220: [44, 45, 76],
-    230: [42, 43, 44, 76],
-    240: [41, 42, 43, 76],
-    250: [40, 41, 42, 76],
-    260: [39, 40, 41, 76],
-    270: [37, 38, 39, 76],
-    280: [36, 37, 38, 76],
-    290: [34, 35, 36, 76],
-    300: [33, 34, 35, 76],
-    310: [31, 32, 33, 34, 76],
-    320: [30, 31, 32, 77],
-    330: [29, 30, 31, 77],
-    340: [27, 28, 29, 77],
-    350: [25, 26, 27, 28, 77],
-    360: [24, 25, 26, 77],
-    370: [22, 23, 24, 25, 77],
-    380: [20, 21, 22, 23, 77],
-    390: [19, 20, 21, 22, 77],
-    400: [17, 18, 19, 20, 77],
-    410: [16, 17, 18, 77],
-    420: [14, 15, 16, 77],
-    430: [12, 13, 14, 77],
-    440: [10, 11, 12, 13, 77],
-    450: [8, 9, 10, 11, 77],
-    460: [7, 8, 9, 10, 77],
-    470: [5, 6, 7, 8, 77],
-    480: [3, 4, 5, 6, 77],
-    490: [3, 4, 77],
-    500: [3],
-  },
-  460: {
-    0: [64, 65, 66, 71, 72],
-    10: [63, 64, 65, 72, 73],
-    20: [62, 63, 64, 72, 73],
-    30: [62, 63, 73],
-    40: [61, 62, 73],
-    50: [60, 61, 73, 74],
-    60: [59, 60, 73, 74],
-    70: [58, 59, 74],
-    80: [57, 58, 74],
-    90: [56, 57, 58, 74],
-    100: [55, 56, 57, 74],
-    110: [54, 55, 56, 74],
-    120: [53, 54, 55, 74, 75],
-    130: [53, 54, 75],
-    140: [52, 53, 75],
-    150: [51, 52, 75],
-    160: [49, 50, 51, 75],
-    170: [48, 49, 50, 75],
-    180: [47, 48, 49, 75],
-    190: [46, 47, 48, 75],
-    200: [45, 46, 47, 75],
-    210: [44, 45, 46, 75],
-    220: [43, 44, 45, 75],
-    230: [42, 43, 44, 75, 76],
-    240: [40, 41, 42, 76],
-    250: [39, 40, 41, 76],
-    260: [38, 39, 40, 76],
-    270: [37, 38, 39, 76],
-    280: [35, 36, 37, 76],
-    290: [34, 35, 36, 76],
-    300: [32, 33, 34, 35, 76],
-    310: [31, 32, 33, 76],
-    320: [30, 31, 32, 76],
-    330: [28, 29, 30, 76],
-    340: [27, 28, 29, 76],
-    350: [25, 26, 27, 28, 76],
-    360: [23, 24, 25, 26, 76],
-    370: [22, 23, 24, 76],
-    380: [20, 21, 22, 23, 76],
-    390: [19, 20, 21, 76],
-    400: [17, 18, 19],
-    410: [15, 16, 17, 18, 77],
-    420: [14, 15, 16, 77],
-    430: [12, 13, 14, 15, 77],
-    440: [10, 11, 12, 13, 77],
-    450: [9, 10, 11, 77],
-    460: [7, 8, 9, 10, 77],
-    470: [5, 6, 7, 8, 77],
-    480: [3, 4, 5, 6, 77],
-    490: [3, 4, 77],
-  },
-  470: {
-    0: [64, 65, 71, 72],
-    10: [63, 64, 65, 71, 72],
-    20: [62, 63, 72],
-    30: [61, 62, 63, 72, 73],
-    40: [60, 61, 62, 72, 73],
-    50: [59, 60, 61, 73],
-    60: [58, 59, 60, 73],
-    70: [58, 59, 73],
-    80: [57, 58, 73, 74],
-    90: [56, 57, 73, 74],
-    100: [55, 56, 74],
-    110: [54, 55, 74],
-    120: [53, 54, 74],
-    130: [52, 53, 74],
-    140: [51, 52, 53, 74],
-    150: [50, 51, 52, 74],
-    160: [49, 50, 74, 75],
-    170: [48, 49, 50, 74, 75],
-    180: [47, 48, 49, 75],
-    190: [46, 47, 75],
-    200: [45, 46, 75],
-    210: [44, 45, 75],
-    220: [42, 43, 44, 75],
-    230: [41, 42, 43, 75],
-    240: [40, 41, 42, 75],
-    250: [39, 40, 41, 75],
-    260: [38, 39, 75],
-    270: [36, 37, 38, 75],
-    280: [35, 36, 37, 75],
-    290: [33, 34, 35, 36],
-    300: [32, 33, 34, 76],
-    310: [31, 32, 33, 76],
-    320: [29, 30, 31, 76],
-    330: [28, 29, 30, 76],
-    340: [27, 28, 29, 76],
-    350: [25, 26, 27, 76],
-    360: [23, 24, 25, 26, 76],
-    370: [22, 23, 24, 76],
-    380: [20, 21, 22, 23, 76],
-    390: [18, 19, 20, 21, 76],
-    400: [17, 18, 19, 76],
-    410: [15, 16, 17, 18, 76],
-    420: [14, 15, 16, 76],
-    430: [12, 13, 14, 15, 76],
-    440: [10, 11, 12, 13, 76],
-    450: [9, 10, 11, 76],
-    460: [7, 8, 9, 10, 76],
-    470: [5, 6, 7, 8, 76],
-    480: [4, 5, 6, 76],
-    490: [4, 5],
-  },
-  480: {
-    0: [64, 65, 70, 71],
-    10: [63, 64, 70, 71],
-    20: [62, 63, 71, 72],
-    30: [61, 62, 71, 72],
-    40: [60, 61, 72],
-    50: [59, 60, 72],
-    60: [58, 59, 72, 73],
-    70: [57, 58, 72, 73],
-    80: [56, 57, 58, 73],
-    90: [55, 56, 57, 73],
-    100: [54, 55, 56, 73],
-    110: [54, 55, 73],
-    120: [53, 54, 73, 74],
-    130: [52, 53, 74],
-    140: [50, 51, 52, 74],
-    150: [49, 50, 51, 74],
-    160: [48, 49, 50, 74],
-    170: [48, 49, 74],
-    180: [46, 47, 48, 74],
-    190: [45, 46, 47, 74],
-    200: [44, 45, 46, 74],
-    210: [43, 44, 45, 74],
-    220: [42, 43, 44, 74, 75],
-    230: [41, 42, 75],
-    240: [39, 40, 41, 75],
-    250: [38, 39, 40, 75],
-    260: [37, 38, 39, 75],
-    270: [36, 37, 38, 75],
-    280: [34, 35, 36, 75],
-    290: [33, 34, 35, 75],
-    300: [32, 33, 34, 75],
-    310: [30, 31, 32, 75],
-    320: [29, 30, 31, 75],
-    330: [28, 29, 30, 75],
-    340: [26, 27, 28, 75],
-    350: [25, 26, 27, 75],
-    360: [23, 24, 25, 75],
-    370: [22, 23, 24],
-    380: [20, 21, 22, 76],
-    390: [19, 20, 21, 76],
-    400: [17, 18, 19, 76],
-    410: [15, 16, 17, 18, 76],
-    420: [14, 15, 16, 76],
-    430: [12, 13, 14, 15, 76],
-    440: [10, 11, 12, 13, 76],
-    450: [9, 10, 11, 12, 76],
-    460: [7, 8, 9, 10, 76],
-    470: [6, 7, 8, 76],
-    480: [4, 5, 6, 7, 76],
-    490: [4, 5],
-  },
-  490: {
-    0: [64, 69, 70],
-    10: [62, 63, 64, 69, 70, 71],
-    20: [61, 62, 63, 70, 71],
-    30: [60, 61, 62, 71],
-    40: [60, 61, 71, 72],
-    50: [59, 60, 71, 72],
-    60: [58, 59, 72],
-    70: [57, 58, 72],
-    80: [56, 57, 72],
-    90: [55, 56, 72, 73],
-    100: [54, 55, 73],
-    110: [53, 54, 73],
-    120: [52, 53, 73],
-    130: [51, 52, 73],
-    140: [50, 51, 73],
-    150: [49, 50, 51, 73],
-    160: [48, 49, 50, 73, 74],
-    170: [47, 48, 49, 73, 74],
-    180: [46, 47, 74],
-    190: [45, 46, 74],
-    200: [44, 45, 74],
-    210: [43, 44, 74],
-    220: [41, 42, 43, 74],
-    230: [40, 41, 42, 74],
-    240: [39, 40, 41, 74],
-    250: [38, 39, 40, 74],
-    260: [37, 38, 74],
-    270: [35, 36, 37, 74],
-    280: [34, 35, 36, 75],
-    290: [33, 34, 35, 75],
-    300: [31, 32, 33, 75],
-    310: [30, 31, 32, 75],
-    320: [29, 30, 31, 75],
-    330: [27, 28, 29, 75],
-    340: [26, 27, 28, 75],
-    350: [24, 25, 26, 27, 75],
-    360: [23, 24, 25, 75],
-    370: [21, 22, 23, 24, 75],
-    380: [20, 21, 22, 75],
-    390: [18, 19, 20, 21, 75],
-    400: [17, 18, 19, 75],
-    410: [15, 16, 17, 18, 75],
-    420: [14, 15, 16, 75],
-    430: [12, 13, 14, 15, 75],
-    440: [11, 12, 13],
-    450: [9, 10, 11],
-    460: [7, 8, 9, 10],
-    470: [6, 7, 8],
-    480: [4, 5, 6, 7, 76],
-    490: [4, 5],
-    500: [4],
-  },
-  500: {
-    0: [63, 64, 69],
-    10: [62, 63, 64, 69, 70],
-    20: [61, 62, 63, 69, 70],
-    30: [60, 61, 62, 70, 71],
-    40: [59, 60, 61, 70, 71],
-    50: [58, 59, 60, 71],
-    60: [57, 58, 59, 71, 72],
-    70: [56, 57, 58, 71, 72],
-    80: [55, 56, 57, 72],
-    90: [54, 55, 56, 72],
-    100: [53, 54, 55, 72],
-    110: [53, 54, 72],
-    120: [52, 53, 72, 73],
-    130: [51, 52, 72, 73],
-    140: [50, 51, 73],
-    150: [49, 50, 73],
-    160: [48, 49, 73],
-    170: [47, 48, 73],
-    180: [45, 46, 47, 73],
-    190: [45, 46, 73],
-    200: [43, 44, 45, 73],
-    210: [42, 43, 44, 73, 74],
-    220: [41, 42, 43, 74],
-    230: [40, 41, 42, 74],
-    240: [39, 40, 74],
-    250: [37, 38, 39, 74],
-    260: [36, 37, 38, 74],
-    270: [35, 36, 37, 74],
-    280: [34, 35, 36, 74],
-    290: [32, 33, 34, 74],
-    300: [31, 32, 33, 74],
-    310: [30, 31, 32, 74],
-    320: [28, 29, 30, 74],
-    330: [27, 28, 29, 74],
-    340: [26, 27, 28],
-    350: [24, 25, 26, 75],
-    360: [23, 24, 25, 75],
-    370: [22, 23, 24, 75],
-    380: [20, 21, 22, 75],
-    390: [18, 19, 20, 21, 75],
-    400: [17, 18, 19, 75],
-    410: [16, 17, 18, 75],
-    420: [14, 15, 16, 75],
-    430: [12, 13, 14, 75],
-    440: [11, 12, 13, 75],
-    450: [9, 10, 11, 12, 75],
-    460: [8, 9, 10, 75],
-    470: [6, 7, 8, 9, 75],
-    480: [5, 6, 7, 75],
-    490: [5, 6, 75],
-  },
-  510: {
-    0: [63, 64, 68, 69],
-    10: [62, 63, 64, 68, 69],
-    20: [61, 62, 63, 68, 69, 70],
-    30: [60, 61, 69, 70],
-    40: [59, 60, 70],
-    50: [58, 59, 70, 71],
-    60: [57, 58, 70, 71],
-    70: [56, 57, 71],
-    80: [55, 56, 71],
-    90: [54, 55, 71, 72],
-    100: [53, 54, 71, 72],
-    110: [52, 53, 54, 72],
-    120: [51, 52, 53, 72],
-    130: [50, 51, 52, 72],
-    140: [49, 50, 51, 72],
-    150: [48, 49, 50, 72],
-    160: [47, 48, 49, 72, 73],
-    170: [46, 47, 48, 73],
-    180: [45, 46, 47, 73],
-    190: [44, 45, 46, 73],
-    200: [43, 44, 73],
-    210: [42, 43, 73],
-    220: [41, 42, 73],
-    230: [40, 41, 73],
-    240: [38, 39, 40, 73],
-    250: [37, 38, 39, 73],
-    260: [36, 37, 38, 73],
-    270: [35, 36, 74],
-    280: [33, 34, 35, 74],
-    290: [32, 33, 34, 74],
-    300: [31, 32, 33, 74],
-    310: [29, 30, 31, 74],
-    320: [28, 29, 30, 74],
-    330: [27, 28, 29, 74],
-    340: [25, 26, 27, 74],
-    350: [24, 25, 26, 74],
-    360: [23, 24, 25, 74],
-    370: [21, 22, 23, 74],
-    380: [20, 21, 22, 74],
-    390: [19, 20, 21, 74],
-    400: [17, 18, 19, 74],
-    410: [15, 16, 17],
-    420: [14, 15, 16],
-    430: [12, 13, 14, 15, 75],
-    440: [11, 12, 13, 75],
-    450: [10, 11, 12, 75],
-    460: [8, 9, 10, 75],
-    470: [7, 8, 9, 75],
-    480: [5, 6, 7, 75],
-    490: [5, 75],
-  },
-  520: {
-    0: [63, 64, 67, 68],
-    10: [62, 63, 64, 66, 67, 68],
-    20: [61, 62, 63, 67, 68, 69],
-    30: [60, 61, 68, 69],
-    40: [59, 60, 69, 70],
-    50: [58, 59, 69, 70],
-    60: [57, 58, 70],
-    70: [56, 57, 70, 71],
-    80: [55, 56, 70, 71],
-    90: [54, 55, 71],
-    100: [53, 54, 71],
-    110: [52, 53, 71],
-    120: [51, 52, 71, 72],
-    130: [50, 51, 71, 72],
-    140: [49, 50, 72],
-    150: [48, 49, 72],
-    160: [47, 48, 72],
-    170: [46, 47, 72],
-    180: [45, 46, 72],
-    190: [44, 45, 72],
-    200: [42, 43, 44, 72, 73],
-    210: [42, 43, 72, 73],
-    220: [40, 41, 42, 73],
-    230: [39, 40, 41, 73],
-    240: [38, 39, 40, 73],
-    250: [37, 38, 39, 73],
-    260: [36, 37, 73],
-    270: [34, 35, 36, 73],
-    280: [33, 34, 35, 73],
-    290: [32, 33, 34, 73],
-    300: [31, 32, 73],
-    310: [29, 30, 31, 73],
-    320: [28, 29, 30, 73],
-    330: [27, 28, 74],
-    340: [25, 26, 27, 74],
-    350: [24, 25, 26, 74],
-    360: [22, 23, 24, 74],
-    370: [21, 22, 23, 74],
-    380: [20, 21, 22, 74],
-    390: [18, 19, 20, 74],
-    400: [17, 18, 19, 74],
-    410: [15, 16, 17, 18, 74],
-    420: [14, 15, 16, 74],
-    430: [13, 14, 15, 74],
-    440: [11, 12, 13, 74],
-    450: [10, 11, 12, 74],
-    460: [8, 9, 10, 74],
-    470: [7, 8, 9, 74],
-    480: [5, 6, 7, 74],
-    490: [5, 6],
-    500: [5],
-  },
-  530: {
-    0: [64, 66, 67],
-    10: [62, 63, 64, 65, 66, 67, 68],
-    20: [61, 62, 63, 64, 66, 67, 68],
-    30: [59, 60, 61, 67, 68, 69],
-    40: [58, 59, 60, 68, 69],
-    50: [57, 58, 59, 69],
-    60: [56, 57, 58, 69, 70],
-    70: [55, 56, 57, 69, 70],
-    80: [54, 55, 56, 70],
-    90: [53, 54, 55, 70],
-    100: [52, 53, 54, 70, 71],
-    110: [51, 52, 53, 70, 71],
-    120: [50, 51, 52, 71],
-    130: [49, 50, 51, 71],
-    140: [48, 49, 50, 71],
-    150: [48, 49, 71],
-    160: [46, 47, 48, 71, 72],
-    170: [45, 46, 47, 72],
-    180: [44, 45, 46, 72],
-    190: [43, 44, 45, 72],
-    200: [42, 43, 44, 72],
-    210: [41, 42, 43, 72],
-    220: [40, 41, 72],
-    230: [39, 40, 72],
-    240: [38, 39, 72],
-    250: [36, 37, 38, 72, 73],
-    260: [35, 36, 37, 73],
-    270: [34, 35, 36, 73],
-    280: [33, 34, 35, 73],
-    290: [32, 33, 73],
-    300: [30, 31, 32, 73],
-    310: [29, 30, 31, 73],
-    320: [28, 29, 30, 73],
-    330: [27, 28, 73],
-    340: [25, 26, 27, 73],
-    350: [24, 25, 26, 73],
-    360: [23, 24, 73],
-    370: [21, 22, 23, 73],
-    380: [20, 21, 22, 73],
-    390: [18, 19, 20, 73],
-    400: [17, 18, 19, 74],
-    410: [16, 17, 18, 74],
-    420: [14, 15, 16, 74],
-    430: [13, 14, 74],
-    440: [11, 12, 13, 74],
-    450: [10, 11, 12, 74],
-    460: [8, 9, 10, 11, 74],
-    470: [7, 8, 9, 74],
-    480: [6, 7, 8, 74],
-    490: [5, 6],
-  },
-  540: {
-    0: [64, 65],
-    10: [62, 63, 64, 65, 66, 67],
-    20: [61, 62, 63, 64, 65, 66, 67],
-    30: [59, 60, 61, 66, 67, 68],
-    40: [58, 59, 60, 67, 68],
-    50: [57, 58, 59, 68, 69],
-    60: [56, 57, 58, 68, 69],
-    70: [55, 56, 69],
-    80: [54, 55, 69, 70],
-    90: [53, 54, 69, 70],
-    100: [52, 53, 70],
-    110: [51, 52, 70],
-    120: [50, 51, 70],
-    130: [49, 50, 70, 71],
-    140: [48, 49, 70, 71],
-    150: [47, 48, 71],
-    160: [46, 47, 71],
-    170: [45, 46, 47, 71],
-    180: [44, 45, 46, 71],
-    190: [43, 44, 71],
-    200: [42, 43, 71, 72],
-    210: [41, 42, 71, 72],
-    220: [40, 41, 72],
-    230: [39, 40, 72],
-    240: [37, 38, 39, 72],
-    250: [36, 37, 38, 72],
-    260: [35, 36, 37, 72],
-    270: [34, 35, 36, 72],
-    280: [33, 34, 72],
-    290: [31, 32, 33, 72],
-    300: [30, 31, 32, 72],
-    310: [29, 30, 31],
-    320: [28, 29, 30, 73],
-    330: [26, 27, 28, 73],
-    340: [25, 26, 27, 73],
-    350: [24, 25, 26, 73],
-    360: [22, 23, 24, 73],
-    370: [21, 22, 23, 73],
-    380: [20, 21, 22, 73],
-    390: [19, 20, 73],
-    400: [17, 18, 19, 73],
-    410: [15, 16, 17, 73],
-    420: [14, 15, 16, 73],
-    430: [13, 14, 15, 73],
-    440: [12, 13, 14, 73],
-    450: [10, 11, 12, 73],
-    460: [9, 10, 11, 73],
-    470: [7, 8, 9],
-    480: [6, 7, 8, 74],
-    490: [6],
-  },
-  550: {
-    10: [62, 63, 64, 65, 66],
-    20: [61, 62, 63, 64, 65, 66, 67],
-    30: [59, 60, 61, 62, 65, 66, 67],
-    40: [58, 59, 60, 66, 67, 68],
-    50: [57, 58, 59, 67, 68],
-    60: [56, 57, 68],
-    70: [55, 56, 68, 69],
-    80: [54, 55, 68, 69],
-    90: [53, 54, 69],
-    100: [52, 53, 69],
-    110: [51, 52, 69, 70],
-    120: [50, 51, 70],
-    130: [49, 50, 70],
-    140: [48, 49, 70],
-    150: [47, 48, 70],
-    160: [46, 47, 70, 71],
-    170: [45, 46, 70, 71],
-    180: [44, 45, 71],
-    190: [43, 44, 71],
-    200: [42, 43, 71],
-    210: [41, 42, 71],
-    220: [39, 40, 41, 71],
-    230: [38, 39, 40, 71],
-    240: [37, 38, 39, 71],
-    250: [36, 37, 38, 71, 72],
-    260: [35, 36, 72],
-    270: [34, 35, 72],
-    280: [32, 33, 34, 72],
-    290: [31, 32, 33, 72],
-    300: [30, 31, 32, 72],
-    310: [29, 30, 31, 72],
-    320: [28, 29, 72],
-    330: [26, 27, 28, 72],
-    340: [25, 26, 27, 72],
-    350: [24, 25, 26, 72],
-    360: [22, 23, 24, 72],
-    370: [21, 22, 23, 72],
-    380: [20, 21, 22, 73],
-    390: [18, 19, 20, 73],
-    400: [17, 18, 19, 73],
-    410: [16, 17, 18, 73],
-    420: [14, 15, 16, 73],
-    430: [13, 14, 15, 73],
-    440: [12, 13, 14, 73],
-    450: [10, 11, 12, 73],
-    460: [9, 10, 11, 73],
-    470: [7, 8, 9, 73],
-    480: [6, 7, 8, 73],
-    490: [6, 7, 73],
-  },
-  560: {
-    10: [63, 64],
-    20: [61, 62, 63, 64, 65, 66],
-    30: [59, 60, 61, 62, 63, 64, 65, 66],
-    40: [58, 59, 60, 65, 66, 67],
-    50: [57, 58, 59, 66, 67],
-    60: [56, 57, 67, 68],
-    70: [55, 56, 67, 68],
-    80: [54, 55, 68],
-    90: [53, 54, 68, 69],
-    100: [52, 53, 68, 69],
-    110: [51, 52, 69],
-    120: [50, 51, 69],
-    130: [49, 50, 69, 70],
-    140: [48, 49, 69, 70],
-    150: [47, 48, 70],
-    160: [45, 46, 47, 70],
-    170: [44, 45, 46, 70],
-    180: [44, 45, 70],
-    190: [42, 43, 44, 70],
-    200: [41, 42, 43, 70, 71],
-    210: [40, 41, 42, 70, 71],
-    220: [39, 40, 41, 71],
-    230: [38, 39, 40, 71],
-    240: [37, 38, 71],
-    250: [36, 37, 71],
-    260: [35, 36, 71],
-    270: [33, 34, 35, 71],
-    280: [32, 33, 34, 71],
-    290: [31, 32, 33, 71],
-    300: [30, 31, 71, 72],
-    310: [29, 30, 72],
-    320: [27, 28, 29, 72],
-    330: [26, 27, 28, 72],
-    340: [25, 26, 27, 72],
-    350: [24, 25, 72],
-    360: [22, 23, 24, 72],
-    370: [21, 22, 23, 72],
-    380: [20, 21, 72],
-    390: [18, 19, 20, 72],
-    400: [17, 18, 19, 72],
-    410: [16, 17, 18, 72],
-    420: [14, 15, 16, 72],
-    430: [13, 14, 15, 72],
-    440: [12, 13, 14],
-    450: [10, 11, 12, 73],
-    460: [9, 10, 11, 73],
-    470: [8, 9, 10, 73],
-    480: [7, 8, 73],
-    490: [6, 7, 73],
-  },
-  570: {
-    20: [61, 62, 63, 64],
-    30: [59, 60, 61, 62, 63, 64, 65],
-    40: [58, 59, 60, 61, 64, 65, 66],
-    50: [57, 58, 59, 65, 66, 67],
-    60: [56, 57, 66, 67],
-    70: [55, 56, 67],
-    80: [53, 54, 55, 67, 68],
-    90: [52, 53, 54, 67, 68],
-    100: [51, 52, 53, 68],
-    110: [50, 51, 52, 68, 69],
-    120: [49, 50, 51, 68, 69],
-    130: [48, 49, 50, 69],
-    140: [47, 48, 49, 69],
-    150: [46, 47, 48, 69],
-    160: [45, 46, 47, 69],
-    170: [44, 45, 46, 69, 70],
-    180: [43, 44, 45, 70],
-    190: [42, 43, 44, 70],
-    200: [41, 42, 43, 70],
-    210: [40, 41, 70],
-    220: [39, 40, 70],
-    230: [38, 39, 70],
-    240: [37, 38, 70],
-    250: [36, 37, 70, 71],
-    260: [34, 35, 36, 71],
-    270: [33, 34, 35, 71],
-    280: [32, 33, 34, 71],
-    290: [31, 32, 71],
-    300: [30, 31, 71],
-    310: [28, 29, 30, 71],
-    320: [27, 28, 29, 71],
-    330: [26, 27, 28, 71],
-    340: [25, 26, 71],
-    350: [24, 25, 71],
-    360: [22, 23, 24, 72],
-    370: [21, 22, 23, 72],
-    380: [20, 21, 72],
-    390: [19, 20, 72],
-    400: [17, 18, 19, 72],
-    410: [16, 17, 18, 72],
-    420: [14, 15, 16, 72],
-    430: [13, 14, 15, 72],
-    440: [12, 13, 14, 72],
-    450: [11, 12, 13, 72],
-    460: [9, 10, 11, 72],
-    470: [8, 9, 10, 72],
-    480: [7, 8, 72],
-    490: [7],
-  },
-  580: {
-    20: [62, 63],
-    30: [59, 60, 61, 62, 63, 64, 65],
-    40: [58, 59, 60, 61, 62, 63, 64, 65],
-    50: [57, 58, 59, 64, 65, 66],
-    60: [56, 57, 65, 66],
-    70: [54, 55, 56, 66, 67],
-    80: [53, 54, 55, 66, 67],
-    90: [52, 53, 54, 67],
-    100: [51, 52, 53, 67, 68],
-    110: [50, 51, 52, 67, 68],
-    120: [49, 50, 68],
-    130: [48, 49, 68],
-    140: [47, 48, 68, 69],
-    150: [46, 47, 68, 69],
-    160: [45, 46, 69],
-    170: [44, 45, 69],
-    180: [43, 44, 69],
-    190: [42, 43, 69],
-    200: [41, 42, 69, 70],
-    210: [40, 41, 69, 70],
-    220: [39, 40, 70],
-    230: [38, 39, 70],
-    240: [36, 37, 38, 70],
-    250: [35, 36, 37, 70],
-    260: [34, 35, 36, 70],
-    270: [33, 34, 35, 70],
-    280: [32, 33, 34, 70],
-    290: [31, 32, 70, 71],
-    300: [30, 31, 71],
-    310: [28, 29, 30, 71],
-    320: [27, 28, 29, 71],
-    330: [26, 27, 28, 71],
-    340: [25, 26, 71],
-    350: [24, 25, 71],
-    360: [22, 23, 24, 71],
-    370: [21, 22, 23, 71],
-    380: [20, 21, 22, 71],
-    390: [18, 19, 20, 71],
-    400: [17, 18, 19, 71],
-    410: [16, 17, 18, 71],
-    420: [15, 16, 17],
-    430: [14, 15, 72],
-    440: [12, 13, 14, 72],
-    450: [11, 12, 13, 72],
-    460: [9, 10, 11, 72],
-    470: [8, 9, 10, 72],
-    480: [7, 8, 9, 72],
-    490: [7, 8, 72],
-  },
-  590: {
-    30: [60, 61, 62, 63],
-    40: [58, 59, 60, 61, 62, 63, 64],
-    50: [57, 58, 59, 60, 61, 62, 63, 64, 65],
-    60: [55, 56, 57, 58, 64, 65, 66],
-    70: [54, 55, 56, 65, 66],
-    80: [53, 54, 55, 66],
-    90: [52, 53, 54, 66, 67],
-    100: [51, 52, 66, 67],
-    110: [50, 51, 67],
-    120: [49, 50, 67, 68],
-    130: [48, 49, 67, 68],
-    140: [47, 48, 68],
-    150: [46, 47, 68],
-    160: [45, 46, 68],
-    170: [44, 45, 68, 69],
-    180: [43, 44, 68, 69],
-    190: [42, 43, 69],
-    200: [41, 42, 69],
-    210: [40, 41, 69],
-    220: [38, 39, 40, 69],
-    230: [38, 39, 69],
-    240: [36, 37, 38, 69, 70],
-    250: [35, 36, 37, 70],
-    260: [34, 35, 36, 70],
-    270: [33, 34, 35, 70],
-    280: [32, 33, 70],
-    290: [31, 32, 70],
-    300: [29, 30, 31, 70],
-    310: [29, 30, 70],
-    320: [27, 28, 29, 70],
-    330: [26, 27, 28, 70],
-    340: [25, 26, 70],
-    350: [23, 24, 25, 71],
-    360: [22, 23, 24, 71],
-    370: [21, 22, 23, 71],
-    380: [20, 21, 22, 71],
-    390: [19, 20, 71],
-    400: [17, 18, 19, 71],
-    410: [16, 17, 18, 71],
-    420: [15, 16, 17, 71],
-    430: [13, 14, 15, 71],
-    440: [12, 13, 14, 71],
-    450: [11, 12, 13, 71],
-    460: [10, 11, 12, 71],
-    470: [9, 10, 71],
-    480: [7, 8, 9, 71],
-    490: [7, 8, 71],
-  },
-  600: {
-    30: [61],
-    40: [58, 59, 60, 61, 62, 63],
-    50: [57, 58, 59, 60, 61, 62, 63, 64],
-    60: [55, 56, 57, 58, 63, 64, 65],
-    70: [54, 55, 56, 64, 65],
-    80: [53, 54, 55, 65, 66],
-    90: [52, 53, 54, 65, 66],
-    100: [51, 52, 66],
-    110: [50, 51, 66, 67],
-    120: [49, 50, 66, 67],
-    130: [48, 49, 67],
-    140: [47, 48, 67],
-    150: [46, 47, 67, 68],
-    160: [45, 46, 67, 68],
-    170: [44, 45, 68],
-    180: [43, 44, 68],
-    190: [42, 43, 68],
-    200: [40, 41, 42, 68, 69],
-    210: [40, 41, 68, 69],
-    220: [38, 39, 40, 69],
-    230: [37, 38, 39, 69],
-    240: [36, 37, 38, 69],
-    250: [35, 36, 37, 69],
-    260: [34, 35, 69],
-    270: [33, 34, 69],
-    280: [32, 33, 69],
-    290: [31, 32, 69, 70],
-    300: [30, 31, 70],
-    310: [28, 29, 30, 70],
-    320: [27, 28, 29, 70],
-    330: [26, 27, 28, 70],
-    340: [25, 26, 70],
-    350: [24, 25, 70],
-    360: [22, 23, 24, 70],
-    370: [21, 22, 23, 70],
-    380: [20, 21, 70],
-    390: [19, 20, 70],
-    400: [18, 19, 70, 71],
-    410: [16, 17, 18, 71],
-    420: [15, 16, 71],
-    430: [14, 15, 71],
-    440: [13, 14, 71],
-    450: [12, 13, 71],
-    460: [10, 11, 12, 71],
-    470: [9, 10, 11, 71],
-    480: [8, 9, 71],
-    490: [8, 71],
-  },
-  610: {
-    40: [59, 60, 61, 62],
-    50: [57, 58, 59, 60, 61, 62, 63],
-    60: [56, 57, 58, 59, 60, 61, 62, 63, 64],
-    70: [54, 55, 56, 57, 63, 64, 65],
-    80: [53, 54, 55, 64, 65],
-    90: [52, 53, 54, 64, 65],
-    100: [51, 52, 65, 66],
-    110: [50, 51, 65, 66],
-    120: [49, 50, 66],
-    130: [48, 49, 66, 67],
-    140: [47, 48, 66, 67],
-    150: [46, 47, 67],
-    160: [45, 46, 67],
-    170: [43, 44, 45, 67],
-    180: [43, 44, 67, 68],
-    190: [41, 42, 43, 67, 68],
-    200: [40, 41, 42, 68],
-    210: [39, 40, 41, 68],
-    220: [38, 39, 40, 68],
-    230: [37, 38, 39, 68],
-    240: [36, 37, 68, 69],
-    250: [35, 36, 68, 69],
-    260: [34, 35, 69],
-    270: [33, 34, 69],
-    280: [32, 33, 69],
-    290: [31, 32, 69],
-    300: [29, 30, 31, 69],
-    310: [28, 29, 30, 69],
-    320: [27, 28, 29, 69],
-    330: [26, 27, 28, 69],
-    340: [25, 26, 69, 70],
-    350: [24, 25, 70],
-    360: [22, 23, 24, 70],
-    370: [21, 22, 23, 70],
-    380: [20, 21, 22, 70],
-    390: [19, 20, 21, 70],
-    400: [18, 19, 70],
-    410: [16, 17, 18, 70],
-    420: [15, 16, 17, 70],
-    430: [14, 15, 16, 70],
-    440: [13, 14, 70],
-    450: [11, 12, 13, 70],
-    460: [10, 11, 12, 70],
-    470: [9, 10, 11],
-    480: [8, 9, 10, 71],
-    490: [8, 71],
-  },
-  620: {
-    50: [57, 58, 59, 60, 61, 62],
-    60: [56, 57, 58, 59, 60, 61, 62, 63],
-    70: [54, 55, 56, 57, 61, 62, 63, 64],
-    80: [53, 54, 55, 63, 64],
-    90: [52, 53, 54, 64, 65],
-    100: [51, 52, 64, 65],
-    110: [50, 51, 65],
-    120: [49, 50, 65, 66],
-    130: [48, 49, 65, 66],
-    140: [46, 47, 48, 66],
-    150: [45, 46, 47, 66],
-    160: [44, 45, 46, 66, 67],
-    170: [43, 44, 45, 67],
-    180: [42, 43, 44, 67],
-    190: [41, 42, 43, 67],
-    200: [40, 41, 42, 67],
-    210: [39, 40, 41, 67, 68],
-    220: [38, 39, 40, 68],
-    230: [37, 38, 68],
-    240: [36, 37, 68],
-    250: [35, 36, 68],
-    260: [34, 35, 68],
-    270: [33, 34, 68],
-    280: [32, 33, 68, 69],
-    290: [31, 32, 68, 69],
-    300: [29, 30, 31, 69],
-    310: [28, 29, 30, 69],
-    320: [27, 28, 29, 69],
-    330: [26, 27, 69],
-    340: [25, 26, 69],
-    350: [24, 25, 69],
-    360: [22, 23, 24, 69],
-    370: [21, 22, 23, 69],
-    380: [20, 21, 22, 69],
-    390: [19, 20],
-    400: [18, 19, 70],
-    410: [17, 18, 70],
-    420: [15, 16, 17, 70],
-    430: [14, 15, 16, 70],
-    440: [13, 14, 70],
-    450: [12, 13, 70],
-    460: [11, 12, 70],
-    470: [10, 11, 70],
-    480: [8, 9, 10, 70],
-    490: [8, 9, 70],
-  },
-  630: {
-    50: [58, 59, 60, 61],
-    60: [56, 57, 58, 59, 60, 61, 62],
-    70: [55, 56, 57, 58, 59, 60, 61, 62, 63],
-    80: [53, 54, 55, 56, 61, 62, 63],
-    90: [52, 53, 54, 63, 64],
-    100: [51, 52, 53, 63, 64],
-    110: [50, 51, 64, 65],
-    120: [49, 50, 64, 65],
-    130: [47, 48, 49, 65],
-    140: [46, 47, 48, 65, 66],
-    150: [45, 46, 47, 65, 66],
-    160: [44, 45, 46, 66],
-    170: [43, 44, 45, 66],
-    180: [42, 43, 44, 66, 67],
-    190: [41, 42, 43, 66, 67],
-    200: [40, 41, 42, 67],
-    210: [39, 40, 67],
-    220: [38, 39, 67],
-    230: [37, 38, 67],
-    240: [36, 37, 67, 68],
-    250: [35, 36, 67, 68],
-    260: [34, 35, 68],
-    270: [33, 34, 68],
-    280: [32, 33, 68],
-    290: [30, 31, 32, 68],
-    300: [29, 30, 31, 68],
-    310: [28, 29, 30, 68],
-    320: [27, 28, 29, 68],
-    330: [26, 27, 68],
-    340: [25, 26, 69],
-    350: [24, 25, 69],
-    360: [23, 24, 69],
-    370: [21, 22, 23, 69],
-    380: [20, 21, 22, 69],
-    390: [19, 20, 69],
-    400: [18, 19, 69],
-    410: [17, 18, 69],
-    420: [15, 16, 17, 69],
-    430: [14, 15, 16, 69],
-    440: [13, 14, 15, 69],
-    450: [12, 13, 14],
-    460: [11, 12, 13, 70],
-    470: [10, 11, 70],
-    480: [8, 9, 10, 70],
-    490: [8, 9, 70],
-    500: [8],
-  },
-  640: {
-    60: [57, 58, 59, 60, 61],
-    70: [55, 56, 57, 58, 59, 60, 61, 62],
-    80: [53, 54, 55, 56, 57, 60, 61, 62, 63],
-    90: [52, 53, 54, 61, 62, 63],
-    100: [51, 52, 53, 62, 63, 64],
-    110: [50, 51, 63, 64],
-    120: [49, 50, 64],
-    130: [47, 48, 49, 64, 65],
-    140: [46, 47, 48, 64, 65],
-    150: [45, 46, 47, 65],
-    160: [44, 45, 46, 65, 66],
-    170: [43, 44, 45, 65, 66],
-    180: [42, 43, 44, 66],
-    190: [41, 42, 43, 66],
-    200: [40, 41, 66],
-    210: [39, 40, 66, 67],
-    220: [38, 39, 66, 67],
-    230: [37, 38, 67],
-    240: [36, 37, 67],
-    250: [35, 36, 67],
-    260: [34, 35, 67],
-    270: [33, 34, 67],
-    280: [32, 33, 67, 68],
-    290: [30, 31, 32, 67, 68],
-    300: [29, 30, 31, 68],
-    310: [28, 29, 30, 68],
-    320: [27, 28, 29, 68],
-    330: [26, 27, 68],
-    340: [25, 26, 68],
-    350: [24, 25, 68],
-    360: [23, 24, 68],
-    370: [21, 22, 23, 68],
-    380: [20, 21, 22, 68, 69],
-    390: [19, 20, 21, 69],
-    400: [18, 19, 20, 69],
-    410: [17, 18, 69],
-    420: [16, 17, 69],
-    430: [15, 16, 69],
-    440: [14, 15, 69],
-    450: [12, 13, 14, 69],
-    460: [11, 12, 13, 69],
-    470: [10, 11, 69],
-    480: [9, 10, 69],
-    490: [9, 69],
-  },
-  650: {
-    60: [58, 59],
-    70: [55, 56, 57, 58, 59, 60, 61],
-    80: [54, 55, 56, 57, 58, 59, 60, 61, 62],
-    90: [52, 53, 54, 55, 60, 61, 62],
-    100: [51, 52, 53, 61, 62, 63],
-    110: [50, 51, 52, 62, 63],
-    120: [49, 50, 63, 64],
-    130: [47, 48, 49, 63, 64],
-    140: [46, 47, 48, 64],
-    150: [45, 46, 47, 64, 65],
-    160: [44, 45, 46, 64, 65],
-    170: [43, 44, 45, 65],
-    180: [42, 43, 44, 65],
-    190: [41, 42, 65, 66],
-    200: [40, 41, 65, 66],
-    210: [39, 40, 66],
-    220: [38, 39, 66],
-    230: [37, 38, 66],
-    240: [36, 37, 66],
-    250: [35, 36, 66, 67],
-    260: [34, 35, 66, 67],
-    270: [33, 34, 67],
-    280: [32, 33, 67],
-    290: [30, 31, 32, 67],
-    300: [29, 30, 31, 67],
-    310: [28, 29, 30, 67],
-    320: [27, 28, 67],
-    330: [26, 27, 28, 67, 68],
-    340: [25, 26, 68],
-    350: [24, 25, 68],
-    360: [23, 24, 68],
-    370: [22, 23, 68],
-    380: [21, 22, 68],
-    390: [19, 20, 21, 68],
-    400: [18, 19, 20, 68],
-    410: [17, 18, 68],
-    420: [16, 17, 68],
-    430: [15, 16, 68],
-    440: [14, 15, 68, 69],
-    450: [12, 13, 14, 69],
-    460: [11, 12, 13, 69],
-    470: [10, 11, 12, 69],
-    480: [9, 10, 11, 69],
-    490: [9, 10, 69],
-  },
-  660: {
-    70: [56, 57, 58, 59],
-    80: [54, 55, 56, 57, 58, 59, 60, 61],
-    90: [52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
-    100: [51, 52, 53, 54, 60, 61, 62],
-    110: [50, 51, 52, 61, 62, 63],
-    120: [49, 50, 62, 63],
-    130: [48, 49, 62, 63],
-    140: [46, 47, 48, 63, 64],
-    150: [45, 46, 47, 63, 64],
-    160: [44, 45, 46, 64],
-    170: [43, 44, 45, 64, 65],
-    180: [42, 43, 44, 64, 65],
-    190: [41, 42, 65],
-    200: [40, 41, 65],
-    210: [39, 40, 65],
-    220: [38, 39, 65, 66],
-    230: [37, 38, 65, 66],
-    240: [36, 37, 66],
-    250: [35, 36, 66],
-    260: [34, 35, 66],
-    270: [33, 34, 66],
-    280: [32, 33, 66],
-    290: [30, 31, 32, 66, 67],
-    300: [29, 30, 31, 67],
-    310: [28, 29, 30, 67],
-    320: [27, 28, 29, 67],
-    330: [26, 27, 28, 67],
-    340: [25, 26, 67],
-    350: [24, 25, 67],
-    360: [23, 24, 67],
-    370: [22, 23, 67],
-    380: [21, 22, 67, 68],
-    390: [19, 20, 21, 68],
-    400: [18, 19, 20, 68],
-    410: [17, 18, 19, 68],
-    420: [16, 17, 18, 68],
-    430: [15, 16, 68],
-    440: [14, 15, 68],
-    450: [13, 14, 68],
-    460: [12, 13, 68],
-    470: [11, 12, 68],
-    480: [9, 10, 11, 68],
-    490: [9, 10, 68],
-  },
-  670: {
-    80: [54, 55, 56, 57, 58, 59],
-    90: [53, 54, 55, 56, 57, 58, 59, 60],
-    100: [51, 52, 53, 54, 55, 58, 59, 60, 61],
-    110: [50, 51, 52, 60, 61, 62],
-    120: [49, 50, 51, 61, 62],
-    130: [48, 49, 62, 63],
-    140: [46, 47, 48, 62, 63],
-    150: [45, 46, 47, 63],
-    160: [44, 45, 46, 63, 64],
-    170: [43, 44, 45, 63, 64],
-    180: [42, 43, 44, 64],
-    190: [41, 42, 64],
-    200: [40, 41, 64, 65],
-    210: [39, 40, 64, 65],
-    220: [38, 39, 65],
-    230: [37, 38, 65],
-    240: [36, 37, 65],
-    250: [35, 36, 65, 66],
-    260: [34, 35, 65, 66],
-    270: [33, 34, 66],
-    280: [32, 33, 66],
-    290: [31, 32, 66],
-    300: [29, 30, 31, 66],
-    310: [28, 29, 30, 66],
-    320: [27, 28, 29, 66],
-    330: [26, 27, 28, 66, 67],
-    340: [25, 26, 67],
-    350: [24, 25, 67],
-    360: [23, 24, 67],
-    370: [22, 23, 67],
-    380: [21, 22, 67],
-    390: [20, 21, 67],
-    400: [19, 20, 67],
-    410: [17, 18, 19, 67],
-    420: [16, 17, 18, 67],
-    430: [15, 16, 17, 67, 68],
-    440: [14, 15, 16, 68],
-    450: [13, 14, 15, 68],
-    460: [12, 13, 68],
-    470: [11, 12, 68],
-    480: [10, 11, 68],
-    490: [10, 68],
-    500: [68],
-  },
-  680: {
-    80: [56, 57, 58],
-    90: [53, 54, 55, 56, 57, 58, 59],
-    100: [52, 53, 54, 55, 56, 57, 58, 59, 60],
-    110: [50, 51, 52, 53, 58, 59, 60, 61],
-    120: [49, 50, 51, 60, 61],
-    130: [48, 49, 50, 61, 62],
-    140: [47, 48, 61, 62],
-    150: [45, 46, 47, 62, 63],
-    160: [44, 45, 46, 62, 63],
-    170: [43, 44, 45, 63],
-    180: [42, 43, 44, 63, 64],
-    190: [41, 42, 63, 64],
-    200: [40, 41, 63, 64],
-    210: [39, 40, 64],
-    220: [38, 39, 64],
-    230: [37, 38, 64, 65],
-    240: [36, 37, 64, 65],
-    250: [35, 36, 65],
-    260: [34, 35, 65],
-    270: [33, 34, 65],
-    280: [32, 33, 65],
-    290: [31, 32, 65, 66],
-    300: [29, 30, 31, 65, 66],
-    310: [29, 30, 66],
-    320: [27, 28, 29, 66],
-    330: [26, 27, 28, 66],
-    340: [25, 26, 27, 66],
-    350: [24, 25, 26, 66],
-    360: [23, 24, 66],
-    370: [22, 23, 66],
-    380: [21, 22, 66, 67],
-    390: [20, 21, 67],
-    400: [19, 20, 67],
-    410: [18, 19, 67],
-    420: [17, 18, 67],
-    430: [16, 17, 67],
-    440: [14, 15, 16, 67],
-    450: [13, 14, 15, 67],
-    460: [12, 13, 14, 67],
-    470: [11, 12, 67],
-    480: [10, 11, 67],
-    490: [10, 68],
-  },
-  690: {
-    90: [54, 55, 56, 57, 58],
-    100: [52, 53, 54, 55, 56, 57, 58, 59],
-    110: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60],
-    120: [49, 50, 51, 52, 58, 59, 60, 61],
-    130: [48, 49, 50, 60, 61],
-    140: [47, 48, 49, 60, 61, 62],
-    150: [46, 47, 61, 62],
-    160: [44, 45, 46, 61, 62],
-    170: [43, 44, 45, 62, 63],
-    180: [42, 43, 44, 62, 63],
-    190: [41, 42, 43, 63],
-    200: [40, 41, 63],
-    210: [39, 40, 63, 64],
-    220: [38, 39, 63, 64],
-    230: [37, 38, 64],
-    240: [36, 37, 64],
-    250: [35, 36, 64],
-    260: [34, 35, 64, 65],
-    270: [33, 34, 64, 65],
-    280: [32, 33, 65],
-    290: [31, 32, 65],
-    300: [30, 31, 65],
-    310: [29, 30, 65],
-    320: [27, 28, 29, 65],
-    330: [26, 27, 28, 65, 66],
-    340: [25, 26, 27, 66],
-    350: [24, 25, 26, 66],
-    360: [23, 24, 25, 66],
-    370: [22, 23, 24, 66],
-    380: [21, 22, 66],
-    390: [20, 21, 66],
-    400: [19, 20, 66],
-    410: [18, 19, 66],
-    420: [17, 18, 66, 67],
-    430: [16, 17, 67],
-    440: [15, 16, 67],
-    450: [13, 14, 15, 67],
-    460: [13, 14, 67],
-    470: [12, 13, 67],
-    480: [10, 11, 12, 67],
-    490: [10, 11, 67],
-  },
-  700: {
-    100: [53, 54, 55, 56, 57, 58],
-    110: [51, 52, 53, 54, 55, 56, 57, 58, 59],
-    120: [49, 50, 51, 52, 53, 56, 57, 58, 59, 60],
-    130: [48, 49, 50, 51, 58, 59, 60],
-    140: [47, 48, 49, 59, 60, 61],
-    150: [46, 47, 48, 60, 61],
-    160: [45, 46, 61, 62],
-    170: [43, 44, 45, 61, 62],
-    180: [42, 43, 44, 61, 62],
-    190: [41, 42, 43, 62],
-    200: [40, 41, 42, 62, 63],
-    210: [39, 40, 41, 62, 63],
-    220: [38, 39, 63],
-    230: [37, 38, 63],
-    240: [36, 37, 63, 64],
-    250: [35, 36, 63, 64],
-    260: [34, 35, 64],
-    270: [33, 34, 64],
-    280: [32, 33, 64],
-    290: [31, 32, 64],
-    300: [30, 31, 64, 65],
-    310: [29, 30, 65],
-    320: [28, 29, 65],
-    330: [26, 27, 28, 65],
-    340: [25, 26, 27, 65],
-    350: [25, 26, 65],
-    360: [23, 24, 25, 65],
-    370: [22, 23, 24, 65, 66],
-    380: [21, 22, 23, 65, 66],
-    390: [20, 21, 22, 66],
-    400: [19, 20, 66],
-    410: [18, 19, 66],
-    420: [17, 18, 66],
-    430: [16, 17, 66],
-    440: [15, 16, 66],
-    450: [14, 15, 66],
-    460: [13, 14, 66],
-    470: [12, 13, 66],
-    480: [11, 12, 67],
-    490: [11, 67],
-  },
-  710: {
-    100: [54, 55, 56],
-    110: [52, 53, 54, 55, 56, 57, 58],
-    120: [50, 51, 52, 53, 54, 55, 56, 57, 58, 59],
-    130: [48, 49, 50, 51, 52, 57, 58, 59],
-    140: [47, 48, 49, 50, 58, 59, 60],
-    150: [46, 47, 48, 59, 60],
-    160: [45, 46, 47, 60, 61],
-    170: [44, 45, 60, 61],
-    180: [42, 43, 44, 61, 62],
-    190: [41, 42, 43, 61, 62],
-    200: [40, 41, 42, 61, 62],
-    210: [39, 40, 41, 62],
-    220: [38, 39, 40, 62, 63],
-    230: [37, 38, 39, 62, 63],
-    240: [36, 37, 63],
-    250: [35, 36, 63],
-    260: [34, 35, 63],
-    270: [33, 34, 63, 64],
-    280: [32, 33, 63, 64],
-    290: [31, 32, 64],
-    300: [30, 31, 64],
-    310: [29, 30, 64],
-    320: [28, 29, 64],
-    330: [27, 28, 64, 65],
-    340: [26, 27, 64, 65],
-    350: [25, 26, 65],
-    360: [23, 24, 25, 65],
-    370: [23, 24, 65],
-    380: [21, 22, 23, 65],
-    390: [20, 21, 22, 65],
-    400: [19, 20, 21, 65],
-    410: [18, 19, 20, 65],
-    420: [17, 18, 19, 65, 66],
-    430: [16, 17, 18, 66],
-    440: [15, 16, 66],
-    450: [14, 15, 66],
-    460: [13, 14, 66],
-    470: [12, 13, 66],
-    480: [11, 12, 66],
-    490: [11, 66],
-  },
-  720: {
-    110: [52, 53, 54, 55, 56],
-    120: [50, 51, 52, 53, 54, 55, 56, 57, 58],
-    130: [49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
-    140: [47, 48, 49, 50, 57, 58, 59],
-    150: [46, 47, 48, 58, 59, 60],
-    160: [45, 46, 47, 59, 60],
-    170: [44, 45, 46, 59, 60],
-    180: [43, 44, 60, 61],
-    190: [42, 43, 60, 61],
-    200: [40, 41, 42, 61],
-    210: [39, 40, 41, 61, 62],
-    220: [38, 39, 40, 61, 62],
-    230: [37, 38, 39, 62],
-    240: [36, 37, 38, 62],
-    250: [35, 36, 62, 63],
-    260: [34, 35, 62, 63],
-    270: [33, 34, 63],
-    280: [32, 33, 63],
-    290: [31, 32, 63],
-    300: [30, 31, 63, 64],
-    310: [29, 30, 63, 64],
-    320: [28, 29, 64],
-    330: [27, 28, 64],
-    340: [26, 27, 64],
-    350: [25, 26, 64],
-    360: [24, 25, 64],
-    370: [23, 24, 64, 65],
-    380: [22, 23, 64, 65],
-    390: [21, 22, 65],
-    400: [20, 21, 65],
-    410: [18, 19, 20, 65],
-    420: [17, 18, 19, 65],
-    430: [17, 18, 65],
-    440: [15, 16, 17, 65],
-    450: [14, 15, 16, 65],
-    460: [13, 14, 15, 65],
-    470: [12, 13, 14, 65, 66],
-    480: [11, 12, 13, 66],
-    490: [11, 12, 66],
-    500: [11],
-  },
-  730: {
-    120: [51, 52, 53, 54, 55, 56],
-    130: [49, 50, 51, 52, 53, 54, 55, 56, 57],
-    140: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
-    150: [46, 47, 48, 49, 57, 58, 59],
-    160: [45, 46, 47, 58, 59],
-    170: [44, 45, 46, 58, 59, 60],
-    180: [43, 44, 45, 59, 60],
-    190: [42, 43, 59, 60],
-    200: [41, 42, 60, 61],
-    210: [39, 40, 41, 60, 61],
-    220: [38, 39, 40, 61],
-    230: [37, 38, 39, 61, 62],
-    240: [36, 37, 38, 61, 62],
-    250: [35, 36, 37, 62],
-    260: [34, 35, 36, 62],
-    270: [33, 34, 35, 62],
-    280: [32, 33, 62, 63],
-    290: [31, 32, 62, 63],
-    300: [30, 31, 63],
-    310: [29, 30, 63],
-    320: [28, 29, 63],
-    330: [27, 28, 63],
-    340: [26, 27, 63, 64],
-    350: [25, 26, 64],
-    360: [24, 25, 64],
-    370: [23, 24, 64],
-    380: [22, 23, 64],
-    390: [21, 22, 64],
-    400: [20, 21, 64],
-    410: [19, 20, 64],
-    420: [18, 19, 64, 65],
-    430: [17, 18, 65],
-    440: [16, 17, 65],
-    450: [15, 16, 65],
-    460: [14, 15, 65],
-    470: [13, 14, 65],
-    480: [12, 13, 65],
-    490: [11, 12, 65],
-  },
-  740: {
-    120: [53, 54],
-    130: [50, 51, 52, 53, 54, 55, 56],
-    140: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
-    150: [47, 48, 49, 50, 51, 54, 55, 56, 57, 58],
-    160: [45, 46, 47, 48, 56, 57, 58],
-    170: [44, 45, 46, 57, 58, 59],
-    180: [43, 44, 45, 58, 59],
-    190: [42, 43, 44, 59, 60],
-    200: [41, 42, 59, 60],
-    210: [40, 41, 60],
-    220: [39, 40, 60, 61],
-    230: [37, 38, 39, 60, 61],
-    240: [36, 37, 38, 61],
-    250: [35, 36, 37, 61],
-    260: [34, 35, 36, 61, 62],
-    270: [33, 34, 35, 61, 62],
-    280: [32, 33, 34, 62],
-    290: [31, 32, 33, 62],
-    300: [30, 31, 32, 62],
-    310: [29, 30, 31, 62, 63],
-    320: [28, 29, 30, 62, 63],
-    330: [27, 28, 29, 63],
-    340: [26, 27, 63],
-    350: [25, 26, 63],
-    360: [24, 25, 63],
-    370: [23, 24, 63, 64],
-    380: [22, 23, 63, 64],
-    390: [21, 22, 64],
-    400: [20, 21, 64],
-    410: [19, 20, 64],
-    420: [18, 19, 64],
-    430: [17, 18, 64],
-    440: [16, 17, 64],
-    450: [15, 16, 64],
-    460: [14, 15, 64],
-    470: [13, 14, 64, 65],
-    480: [12, 13, 65],
-    490: [12, 65],
-  },
-  750: {
-    130: [51, 52, 53, 54],
-    140: [49, 50, 51, 52, 53, 54, 55, 56],
-    150: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
-    160: [46, 47, 48, 49, 55, 56, 57],
-    170: [45, 46, 47, 56, 57, 58],
-    180: [43, 44, 45, 46, 57, 58, 59],
-    190: [42, 43, 44, 58, 59],
-    200: [41, 42, 43, 58, 59],
-    210: [40, 41, 59, 60],
-    220: [39, 40, 59, 60],
-    230: [38, 39, 60],
-    240: [37, 38, 60, 61],
-    250: [36, 37, 60, 61],
-    260: [35, 36, 60, 61],
-    270: [33, 34, 35, 61],
-    280: [33, 34, 61],
-    290: [31, 32, 33, 61, 62],
-    300: [30, 31, 32, 62],
-    310: [29, 30, 31, 62],
-    320: [28, 29, 30, 62],
-    330: [27, 28, 29, 62],
-    340: [26, 27, 28, 62, 63],
-    350: [25, 26, 27, 62, 63],
-    360: [24, 25, 26, 63],
-    370: [23, 24, 25, 63],
-    380: [22, 23, 24, 63],
-    390: [21, 22, 23, 63],
-    400: [20, 21, 22, 63],
-    410: [19, 20, 21, 63],
-    420: [18, 19, 20, 63, 64],
-    430: [17, 18, 19, 64],
-    440: [16, 17, 18, 64],
-    450: [15, 16, 64],
-    460: [14, 15, 16, 64],
-    470: [13, 14, 15, 64],
-    480: [12, 13, 14, 64],
-    490: [12, 13, 64],
-  },
-  760: {
-    140: [50, 51, 52, 53, 54],
-    150: [48, 49, 50, 51, 52, 53, 54, 55],
-    160: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
-    170: [45, 46, 47, 48, 55, 56, 57],
-    180: [44, 45, 46, 56, 57, 58],
-    190: [42, 43, 44, 45, 57, 58],
-    200: [41, 42, 43, 57, 58, 59],
-    210: [40, 41, 42, 58, 59],
-    220: [39, 40, 41, 58, 59],
-    230: [38, 39, 59, 60],
-    240: [37, 38, 59, 60],
-    250: [36, 37, 60],
-    260: [35, 36, 60],
-    270: [34, 35, 60, 61],
-    280: [33, 34, 60, 61],
-    290: [32, 33, 61],
-    300: [31, 32, 61],
-    310: [30, 31, 61],
-    320: [29, 30, 61, 62],
-    330: [28, 29, 62],
-    340: [27, 28, 62],
-    350: [26, 27, 62],
-    360: [25, 26, 62],
-    370: [24, 25, 62],
-    380: [23, 24, 62, 63],
-    390: [21, 22, 23, 62, 63],
-    400: [21, 22, 63],
-    410: [20, 21, 63],
-    420: [19, 20, 63],
-    430: [18, 19, 63],
-    440: [17, 18, 63],
-    450: [16, 17, 63],
-    460: [15, 16, 63],
-    470: [14, 15, 63, 64],
-    480: [13, 14, 64],
-    490: [13, 64],
-  },
-  770: {
-    150: [49, 50, 51, 52, 53, 54],
-    160: [47, 48, 49, 50, 51, 52, 53, 54, 55],
-    170: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
-    180: [44, 45, 46, 47, 54, 55, 56, 57],
-    190: [43, 44, 45, 56, 57],
-    200: [42, 43, 44, 56, 57, 58],
-    210: [40, 41, 42, 57, 58],
-    220: [39, 40, 41, 57, 58, 59],
-    230: [38, 39, 40, 58, 59],
-    240: [37, 38, 39, 58, 59],
-    250: [36, 37, 59, 60],
-    260: [35, 36, 59, 60],
-    270: [34, 35, 59, 60],
-    280: [33, 34, 60],
-    290: [32, 33, 60],
-    300: [31, 32, 60, 61],
-    310: [30, 31, 60, 61],
-    320: [29, 30, 61],
-    330: [28, 29, 61],
-    340: [27, 28, 61],
-    350: [26, 27, 61, 62],
-    360: [25, 26, 61, 62],
-    370: [24, 25, 62],
-    380: [23, 24, 62],
-    390: [22, 23, 62],
-    400: [21, 22, 62],
-    410: [20, 21, 62],
-    420: [19, 20, 62, 63],
-    430: [18, 19, 63],
-    440: [17, 18, 63],
-    450: [16, 17, 63],
-    460: [15, 16, 63],
-    470: [14, 15, 63],
-    480: [13, 14, 63],
-    490: [13, 63],
-  },
-  780: {
-    160: [48, 49, 50, 51, 52, 53, 54],
-    170: [46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
-    180: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
-    190: [43, 44, 45, 46, 54, 55, 56],
-    200: [42, 43, 44, 55, 56, 57],
-    210: [41, 42, 43, 56, 57],
-    220: [40, 41, 42, 57, 58],
-    230: [38, 39, 40, 57, 58],
-    240: [37, 38, 39, 58],
-    250: [36, 37, 38, 58, 59],
-    260: [35, 36, 37, 58, 59],
-    270: [34, 35, 36, 59],
-    280: [33, 34, 35, 59, 60],
-    290: [32, 33, 34, 59, 60],
-    300: [31, 32, 60],
-    310: [30, 31, 60],
-    320: [29, 30, 60, 61],
-    330: [28, 29, 60, 61],
-    340: [27, 28, 60, 61],
-    350: [26, 27, 61],
-    360: [25, 26, 61],
-    370: [24, 25, 61],
-    380: [23, 24, 61, 62],
-    390: [22, 23, 61, 62],
-    400: [21, 22, 61, 62],
-    410: [20, 21, 62],
-    420: [19, 20, 62],
-    430: [18, 19, 62],
-    440: [17, 18, 62],
-    450: [16, 17, 18, 62],
-    460: [15, 16, 17, 62],
-    470: [14, 15, 62, 63],
-    480: [13, 14, 15, 63],
-    490: [13, 14],
-  },
-  790: {
-    160: [50, 51],
-    170: [47, 48, 49, 50, 51, 52, 53, 54],
-    180: [45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55],
-    190: [44, 45, 46, 47, 48, 52, 53, 54, 55],
-    200: [42, 43, 44, 45, 54, 55, 56],
-    210: [41, 42, 43, 44, 55, 56, 57],
-    220: [40, 41, 42, 56, 57],
-    230: [39, 40, 41, 56, 57],
-    240: [38, 39, 57, 58],
-    250: [37, 38, 57, 58],
-    260: [36, 37, 58],
-    270: [35, 36, 58, 59],
-    280: [33, 34, 35, 58, 59],
-    290: [32, 33, 34, 59],
-    300: [31, 32, 33, 59],
-    310: [30, 31, 32, 59, 60],
-    320: [29, 30, 31, 59, 60],
-    330: [28, 29, 30, 60],
-    340: [27, 28, 29, 60],
-    350: [26, 27, 28, 60],
-    360: [25, 26, 27, 60, 61],
-    370: [24, 25, 26, 60, 61],
-    380: [23, 24, 25, 61],
-    390: [22, 23, 24, 61],
-    400: [21, 22, 23, 61],
-    410: [20, 21, 22, 61],
-    420: [19, 20, 21, 61, 62],
-    430: [19, 20, 61, 62],
-    440: [17, 18, 19, 62],
-    450: [17, 18, 62],
-    460: [16, 17, 62],
-    470: [15, 16, 62],
-    480: [14, 15, 62],
-    490: [14, 62],
-  },
-  800: {
-    170: [49, 50, 51, 52],
-    180: [46, 47, 48, 49, 50, 51, 52, 53],
-    190: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
-    200: [43, 44, 45, 46, 47, 52, 53, 54, 55],
-    210: [42, 43, 44, 53, 54, 55, 56],
-    220: [40, 41, 42, 43, 54, 55, 56],
-    230: [39, 40, 41, 55, 56, 57],
-    240: [38, 39, 40, 56, 57],
-    250: [37, 38, 39, 56, 57],
-    260: [36, 37, 38, 57, 58],
-    270: [35, 36, 57, 58],
-    280: [34, 35, 58],
-    290: [33, 34, 58, 59],
-    300: [32, 33, 58, 59],
-    310: [31, 32, 58, 59],
-    320: [30, 31, 59],
-    330: [29, 30, 59, 60],
-    340: [28, 29, 59, 60],
-    350: [27, 28, 59, 60],
-    360: [26, 27, 60],
-    370: [25, 26, 60],
-    380: [24, 25, 60],
-    390: [23, 24, 60, 61],
-    400: [22, 23, 60, 61],
-    410: [21, 22, 61],
-    420: [20, 21, 61],
-    430: [19, 20, 61],
-    440: [18, 19, 61],
-    450: [17, 18, 61],
-    460: [16, 17, 61],
-    470: [15, 16, 61, 62],
-    480: [14, 15, 62],
-    490: [14],
-  },
-  810: {
-    180: [48, 49, 50, 51],
-    190: [45, 46, 47, 48, 49, 50, 51, 52, 53],
-    200: [44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
-    210: [42, 43, 44, 45, 46, 52, 53, 54, 55],
-    220: [41, 42, 43, 44, 53, 54, 55],
-    230: [40, 41, 42, 54, 55, 56],
-    240: [38, 39, 40, 55, 56],
-    250: [37, 38, 39, 55, 56, 57],
-    260: [36, 37, 38, 56, 57],
-    270: [35, 36, 37, 56, 57],
-    280: [34, 35, 36, 57, 58],
-    290: [33, 34, 35, 57, 58],
-    300: [32, 33, 57, 58],
-    310: [31, 32, 58],
-    320: [30, 31, 58, 59],
-    330: [29, 30, 58, 59],
-    340: [28, 29, 59],
-    350: [27, 28, 59],
-    360: [26, 27, 59],
-    370: [25, 26, 59, 60],
-    380: [24, 25, 59, 60],
-    390: [23, 24, 60],
-    400: [22, 23, 60],
-    410: [21, 22, 60],
-    420: [20, 21, 60],
-    430: [19, 20, 60, 61],
-    440: [18, 19, 61],
-    450: [17, 18, 19, 61],
-    460: [16, 17, 61],
-    470: [15, 16, 17, 61],
-    480: [15, 16, 61],
-    490: [15, 61],
-  },
-  820: {
-    190: [47, 48, 49, 50, 51],
-    200: [45, 46, 47, 48, 49, 50, 51, 52, 53],
-    210: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
-    220: [42, 43, 44, 45, 51, 52, 53, 54],
-    230: [40, 41, 42, 43, 53, 54, 55],
-    240: [39, 40, 41, 54, 55],
-    250: [38, 39, 40, 54, 55, 56],
-    260: [37, 38, 55, 56],
-    270: [35, 36, 37, 56, 57],
-    280: [34, 35, 36, 56, 57],
-    290: [33, 34, 35, 56, 57],
-    300: [32, 33, 34, 57],
-    310: [31, 32, 33, 57, 58],
-    320: [30, 31, 32, 57, 58],
-    330: [29, 30, 31, 58],
-    340: [28, 29, 30, 58],
-    350: [27, 28, 58, 59],
-    360: [26, 27, 28, 58, 59],
-    370: [25, 26, 27, 59],
-    380: [24, 25, 26, 59],
-    390: [23, 24, 25, 59],
-    400: [22, 23, 24, 59, 60],
-    410: [21, 22, 23, 59, 60],
-    420: [21, 22, 60],
-    430: [19, 20, 21, 60],
-    440: [19, 20, 60],
-    450: [18, 19, 60],
-    460: [17, 18, 60],
-    470: [16, 17, 60, 61],
-    480: [15, 16, 60, 61],
-    490: [15],
-  },
-  830: {
-    200: [46, 47, 48, 49, 50, 51],
-    210: [44, 45, 46, 47, 48, 49, 50, 51, 52],
-    220: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
-    230: [41, 42, 43, 44, 51, 52, 53, 54],
-    240: [39, 40, 41, 42, 52, 53, 54],
-    250: [38, 39, 40, 41, 53, 54, 55],
-    260: [37, 38, 39, 54, 55],
-    270: [36, 37, 38, 55, 56],
-    280: [35, 36, 37, 55, 56],
-    290: [34, 35, 56],
-    300: [33, 34, 56, 57],
-    310: [32, 33, 56, 57],
-    320: [31, 32, 57],
-    330: [30, 31, 57, 58],
-    340: [29, 30, 57, 58],
-    350: [28, 29, 57, 58],
-    360: [27, 28, 58],
-    370: [26, 27, 58],
-    380: [25, 26, 58, 59],
-    390: [24, 25, 58, 59],
-    400: [23, 24, 59],
-    410: [22, 23, 59],
-    420: [21, 22, 59],
-    430: [20, 21, 59],
-    440: [19, 20, 59, 60],
-    450: [18, 19, 59, 60],
-    460: [17, 18, 60],
-    470: [16, 17, 60],
-    480: [15, 16, 60],
-    490: [15, 60],
-    500: [15],
-  },
-  840: {
-    210: [45, 46, 47, 48, 49, 50, 51],
-    220: [43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
-    230: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
-    240: [40, 41, 42, 43, 51, 52, 53],
-    250: [39, 40, 41, 52, 53, 54],
-    260: [38, 39, 40, 53, 54],
-    270: [36, 37, 38, 54, 55],
-    280: [35, 36, 37, 54, 55],
-    290: [34, 35, 36, 55, 56],
-    300: [33, 34, 35, 55, 56],
-    310: [32, 33, 34, 55, 56],
-    320: [31, 32, 56, 57],
-    330: [30, 31, 56, 57],
-    340: [29, 30, 57],
-    350: [28, 29, 57],
-    360: [27, 28, 57, 58],
-    370: [26, 27, 57, 58],
-    380: [25, 26, 58],
-    390: [24, 25, 58],
-    400: [23, 24, 58],
-    410: [22, 23, 58, 59],
-    420: [21, 22, 58, 59],
-    430: [20, 21, 59],
-    440: [19, 20, 21, 59],
-    450: [18, 19, 20, 59],
-    460: [17, 18, 19, 59],
-    470: [17, 18, 59],
-    480: [16, 17, 59, 60],
-    490: [15, 16],
-  },
-  850: {
-    220: [44, 45, 46, 47, 48, 49, 50],
-    230: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
-    240: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
-    250: [39, 40, 41, 42, 43, 50, 51, 52, 53],
-    260: [38, 39, 40, 41, 52, 53, 54],
-    270: [37, 38, 39, 52, 53, 54],
-    280: [36, 37, 38, 53, 54, 55],
-    290: [35, 36, 54, 55],
-    300: [33, 34, 35, 54, 55],
-    310: [32, 33, 34, 55, 56],
-    320: [31, 32, 33, 55, 56],
-    330: [30, 31, 32, 55, 56],
-    340: [29, 30, 31, 56],
-    350: [28, 29, 30, 56, 57],
-    360: [27, 28, 29, 56, 57],
-    370: [26, 27, 28, 57],
-    380: [25, 26, 27, 57],
-    390: [24, 25, 26, 57, 58],
-    400: [23, 24, 25, 57, 58],
-    410: [22, 23, 24, 58],
-    420: [22, 23, 58],
-    430: [21, 22, 58],
-    440: [20, 21, 58, 59],
-    450: [19, 20, 58, 59],
-    460: [18, 19, 58, 59],
-    470: [17, 18, 59],
-    480: [16, 17, 59],
-    490: [16, 59],
-  },
-  860: {
-    230: [44, 45, 46, 47, 48, 49, 50],
-    240: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
-    250: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
-    260: [39, 40, 41, 42, 50, 51, 52, 53],
-    270: [38, 39, 40, 51, 52, 53],
-    280: [36, 37, 38, 39, 52, 53, 54],
-    290: [35, 36, 37, 53, 54],
-    300: [34, 35, 36, 53, 54, 55],
-    310: [33, 34, 35, 54, 55],
-    320: [32, 33, 54, 55],
-    330: [31, 32, 55],
-    340: [30, 31, 55, 56],
-    350: [29, 30, 55, 56],
-    360: [28, 29, 56],
-    370: [27, 28, 56, 57],
-    380: [26, 27, 56, 57],
-    390: [25, 26, 56, 57],
-    400: [24, 25, 57],
-    410: [23, 24, 57],
-    420: [22, 23, 57, 58],
-    430: [21, 22, 57, 58],
-    440: [20, 21, 57, 58],
-    450: [19, 20, 58],
-    460: [18, 19, 58],
-    470: [17, 18, 19, 58],
-    480: [17, 18, 58, 59],
-    490: [16, 17],
-  },
-  870: {
-    230: [46, 47],
-    240: [43, 44, 45, 46, 47, 48, 49, 50],
-    250: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
-    260: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
-    270: [38, 39, 40, 41, 50, 51, 52],
-    280: [37, 38, 39, 51, 52, 53],
-    290: [36, 37, 38, 52, 53],
-    300: [35, 36, 37, 52, 53, 54],
-    310: [33, 34, 35, 53, 54],
-    320: [32, 33, 34, 53, 54],
-    330: [31, 32, 33, 54, 55],
-    340: [30, 31, 32, 54, 55],
-    350: [29, 30, 31, 55],
-    360: [28, 29, 30, 55, 56],
-    370: [27, 28, 29, 55, 56],
-    380: [26, 27, 28, 55, 56],
-    390: [25, 26, 27, 56],
-    400: [24, 25, 26, 56, 57],
-    410: [23, 24, 25, 56, 57],
-    420: [22, 23, 24, 56, 57],
-    430: [21, 22, 23, 57],
-    440: [21, 22, 57],
-    450: [20, 21, 57],
-    460: [19, 20, 57, 58],
-    470: [18, 19, 57, 58],
-    480: [17, 18, 58],
-    490: [17, 58],
-  },
-  880: {
-    240: [46],
-    250: [42, 43, 44, 45, 46, 47, 48, 49],
-    260: [41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
-    270: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
-    280: [38, 39, 40, 41, 49, 50, 51, 52],
-    290: [36, 37, 38, 39, 50, 51, 52],
-    300: [35, 36, 37, 51, 52, 53],
-    310: [34, 35, 36, 52, 53],
-    320: [33, 34, 35, 52, 53, 54],
-    330: [32, 33, 34, 53, 54],
-    340: [31, 32, 53, 54],
-    350: [30, 31, 54, 55],
-    360: [29, 30, 54, 55],
-    370: [28, 29, 54, 55],
-    380: [27, 28, 55],
-    390: [26, 27, 55, 56],
-    400: [25, 26, 55, 56],
-    410: [24, 25, 56],
-    420: [23, 24, 56],
-    430: [22, 23, 56, 57],
-    440: [21, 22, 56, 57],
-    450: [20, 21, 56, 57],
-    460: [19, 20, 57],
-    470: [18, 19, 57],
-    480: [17, 18, 19, 57],
-    490: [17, 18, 57],
-  },
-  890: {
-    250: [44, 45, 46, 47],
-    260: [42, 43, 44, 45, 46, 47, 48, 49],
-    270: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
-    280: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
-    290: [37, 38, 39, 40, 49, 50, 51],
-    300: [36, 37, 38, 50, 51, 52],
-    310: [34, 35, 36, 37, 51, 52],
-    320: [33, 34, 35, 51, 52, 53],
-    330: [32, 33, 34, 52, 53],
-    340: [31, 32, 33, 52, 53],
-    350: [30, 31, 32, 53, 54],
-    360: [29, 30, 31, 53, 54],
-    370: [28, 29, 30, 54],
-    380: [27, 28, 29, 54, 55],
-    390: [26, 27, 28, 54, 55],
-    400: [25, 26, 27, 55],
-    410: [24, 25, 26, 55],
-    420: [23, 24, 25, 55, 56],
-    430: [22, 23, 24, 55, 56],
-    440: [21, 22, 23, 56],
-    450: [21, 22, 56],
-    460: [20, 21, 56],
-    470: [19, 20, 56, 57],
-    480: [18, 19, 56, 57],
-    490: [18, 57],
-  },
-  900: {
-    260: [45],
-    270: [41, 42, 43, 44, 45, 46, 47, 48],
-    280: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
-    290: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
-    300: [36, 37, 38, 39, 40, 48, 49, 50, 51],
-    310: [35, 36, 37, 38, 49, 50, 51],
-    320: [34, 35, 36, 50, 51, 52],
-    330: [33, 34, 35, 51, 52],
-    340: [32, 33, 34, 51, 52, 53],
-    350: [31, 32, 33, 52, 53],
-    360: [30, 31, 52, 53],
-    370: [29, 30, 53, 54],
-    380: [28, 29, 53, 54],
-    390: [27, 28, 54],
-    400: [26, 27, 54, 55],
-    410: [25, 26, 54, 55],
-    420: [24, 25, 54, 55],
-    430: [23, 24, 55],
-    440: [22, 23, 55],
-    450: [21, 22, 55, 56],
-    460: [20, 21, 55, 56],
-    470: [19, 20, 56],
-    480: [18, 19, 20, 56],
-    490: [18, 19, 56],
-    500: [18],
-  },
-  910: {
-    270: [43, 44, 45, 46],
-    280: [41, 42, 43, 44, 45, 46, 47, 48],
-    290: [39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
-    300: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
-    310: [36, 37, 38, 39, 47, 48, 49, 50],
-    320: [35, 36, 37, 38, 49, 50, 51],
-    330: [33, 34, 35, 36, 49, 50, 51],
-    340: [32, 33, 34, 50, 51, 52],
-    350: [31, 32, 33, 51, 52],
-    360: [30, 31, 32, 51, 52, 53],
-    370: [29, 30, 31, 52, 53],
-    380: [28, 29, 30, 52, 53],
-    390: [27, 28, 29, 53],
-    400: [26, 27, 28, 53, 54],
-    410: [25, 26, 27, 53, 54],
-    420: [24, 25, 26, 54],
-    430: [23, 24, 25, 54, 55],
-    440: [22, 23, 24, 54, 55],
-    450: [21, 22, 23, 54, 55],
-    460: [20, 21, 22, 55],
-    470: [20, 21, 55],
-    480: [19, 20, 55, 56],
-    490: [18, 19, 55, 56],
-  },
-  920: {
-    280: [44],
-    290: [40, 41, 42, 43, 44, 45, 46, 47],
-    300: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    310: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
-    320: [35, 36, 37, 38, 39, 47, 48, 49, 50],
-    330: [34, 35, 36, 37, 48, 49, 50],
-    340: [33, 34, 35, 49, 50, 51],
-    350: [32, 33, 34, 50, 51],
-    360: [31, 32, 33, 50, 51, 52],
-    370: [30, 31, 32, 51, 52],
-    380: [29, 30, 51, 52],
-    390: [28, 29, 52, 53],
-    400: [27, 28, 52, 53],
-    410: [26, 27, 52, 53],
-    420: [25, 26, 53, 54],
-    430: [24, 25, 53, 54],
-    440: [23, 24, 53, 54],
-    450: [22, 23, 54],
-    460: [21, 22, 54, 55],
-    470: [20, 21, 54, 55],
-    480: [19, 20, 54, 55],
-    490: [19, 20, 55],
-    500: [19],
-  },
-  930: {
-    290: [43, 44],
-    300: [40, 41, 42, 43, 44, 45, 46],
-    310: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    320: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49],
-    330: [35, 36, 37, 38, 39, 46, 47, 48, 49],
-    340: [34, 35, 36, 37, 47, 48, 49, 50],
-    350: [32, 33, 34, 35, 48, 49, 50],
-    360: [31, 32, 33, 49, 50, 51],
-    370: [30, 31, 32, 50, 51],
-    380: [29, 30, 31, 50, 51, 52],
-    390: [28, 29, 30, 51, 52],
-    400: [27, 28, 29, 51, 52],
-    410: [26, 27, 28, 52, 53],
-    420: [25, 26, 27, 52, 53],
-    430: [24, 25, 26, 52, 53],
-    440: [23, 24, 25, 53],
-    450: [22, 23, 24, 53, 54],
-    460: [22, 23, 53, 54],
-    470: [21, 22, 53, 54],
-    480: [20, 21, 54],
-    490: [19, 20, 54],
-  },
-  940: {
-    310: [40, 41, 42, 43, 44, 45, 46],
-    320: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
-    330: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    340: [35, 36, 37, 38, 46, 47, 48, 49],
-    350: [33, 34, 35, 36, 47, 48, 49],
-    360: [32, 33, 34, 35, 48, 49, 50],
-    370: [31, 32, 33, 49, 50],
-    380: [30, 31, 32, 49, 50, 51],
-    390: [29, 30, 31, 50, 51],
-    400: [28, 29, 50, 51, 52],
-    410: [27, 28, 51, 52],
-    420: [26, 27, 51, 52],
-    430: [25, 26, 52, 53],
-    440: [24, 25, 52, 53],
-    450: [23, 24, 52, 53],
-    460: [22, 23, 53],
-    470: [21, 22, 53],
-    480: [20, 21, 22, 53, 54],
-    490: [20, 21, 54],
-  },
-  950: {
-    320: [39, 40, 41, 42, 43, 44, 45],
-    330: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
-    340: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    350: [34, 35, 36, 37, 38, 45, 46, 47, 48],
-    360: [33, 34, 35, 36, 46, 47, 48, 49],
-    370: [32, 33, 34, 47, 48, 49],
-    380: [31, 32, 33, 48, 49, 50],
-    390: [30, 31, 32, 49, 50],
-    400: [28, 29, 30, 49, 50, 51],
-    410: [27, 28, 29, 50, 51],
-    420: [26, 27, 28, 50, 51],
-    430: [25, 26, 27, 51, 52],
-    440: [24, 25, 26, 51, 52],
-    450: [23, 24, 25, 51, 52],
-    460: [23, 24, 52, 53],
-    470: [22, 23, 52, 53],
-    480: [21, 22, 52, 53],
-    490: [21],
-  },
-  960: {
-    330: [39, 40, 41, 42, 43, 44, 45],
-    340: [37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
-    350: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47],
-    360: [34, 35, 36, 37, 38, 44, 45, 46, 47, 48],
-    370: [33, 34, 35, 36, 46, 47, 48],
-    380: [31, 32, 33, 34, 47, 48, 49],
-    390: [30, 31, 32, 33, 48, 49],
-    400: [29, 30, 31, 48, 49, 50],
-    410: [28, 29, 30, 49, 50],
-    420: [27, 28, 29, 49, 50, 51],
-    430: [26, 27, 28, 50, 51],
-    440: [25, 26, 27, 50, 51],
-    450: [24, 25, 26, 51],
-    460: [23, 24, 25, 51, 52],
-    470: [22, 23, 24, 51, 52],
-    480: [21, 22, 23, 52],
-    490: [21, 22, 52],
-  },
-  970: {
-    340: [39, 40, 41, 42, 43, 44],
-    350: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
-    360: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
-    370: [34, 35, 36, 37, 38, 43, 44, 45, 46, 47],
-    380: [32, 33, 34, 35, 36, 45, 46, 47, 48],
-    390: [31, 32, 33, 34, 46, 47, 48],
-    400: [30, 31, 32, 47, 48, 49],
-    410: [29, 30, 31, 48, 49],
-    420: [28, 29, 30, 48, 49, 50],
-    430: [27, 28, 29, 49, 50],
-    440: [26, 27, 49, 50],
-    450: [25, 26, 50, 51],
-    460: [24, 25, 50, 51],
-    470: [23, 24, 50, 51],
-    480: [22, 23, 51, 52],
-    490: [22, 51],
-  },
-  980: {
-    350: [38, 39, 40, 41, 42, 43],
-    360: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
-    370: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46],
-    380: [33, 34, 35, 36, 37, 38, 39, 42, 43, 44, 45, 46, 47],
-    390: [32, 33, 34, 35, 44, 45, 46, 47],
-    400: [31, 32, 33, 46, 47, 48],
-    410: [30, 31, 32, 46, 47, 48],
-    420: [28, 29, 30, 31, 47, 48, 49],
-    430: [27, 28, 29, 48, 49],
-    440: [26, 27, 28, 48, 49, 50],
-    450: [25, 26, 27, 49, 50],
-    460: [24, 25, 26, 49, 50],
-    470: [23, 24, 25, 50, 51],
-    480: [23, 24, 50, 51],
-    490: [23, 50, 51],
-  },
-  990: {
-    360: [39, 40, 41, 42],
-    370: [36, 37, 38, 39, 40, 41, 42, 43, 44],
-    380: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
-    390: [33, 34, 35, 36, 37, 38, 40, 41, 42, 43, 44, 45, 46],
-    400: [32, 33, 34, 35, 43, 44, 45, 46, 47],
-    410: [30, 31, 32, 33, 45, 46, 47],
-    420: [29, 30, 31, 32, 46, 47, 48],
-    430: [28, 29, 30, 46, 47, 48],
-    440: [27, 28, 29, 47, 48, 49],
-    450: [26, 27, 28, 48, 49],
-    460: [25, 26, 27, 48, 49],
-    470: [24, 25, 26, 49, 50],
-    480: [23, 24, 25, 49, 50],
-    490: [23, 24, 49, 50],
-    500: [50],
-  },
-  1000: {
-    370: [39, 40, 41],
-    380: [36, 37, 38, 39, 40, 41, 42, 43],
-    390: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
-    400: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
-    410: [31, 32, 33, 34, 35, 43, 44, 45, 46],
-    420: [30, 31, 32, 33, 44, 45, 46, 47],
-    430: [29, 30, 31, 32, 45, 46, 47],
-    440: [28, 29, 30, 46, 47, 48],
-    450: [27, 28, 29, 47, 48],
-    460: [26, 27, 28, 47, 48, 49],
-    470: [25, 26, 27, 48, 49],
-    480: [24, 25, 26, 48, 49],
-    490: [24, 25, 48, 49, 50],
-  },
-  1010: {
-    380: [39, 40],
-    390: [36, 37, 38, 39, 40, 41, 42, 43],
-    400: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
-    410: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45],
-    420: [31, 32, 33, 34, 35, 42, 43, 44, 45, 46],
-    430: [30, 31, 32, 33, 43, 44, 45, 46],
-    440: [29, 30, 31, 32, 44, 45, 46, 47],
-    450: [28, 29, 30, 45, 46, 47],
-    460: [27, 28, 29, 46, 47, 48],
-    470: [26, 27, 46, 47, 48],
-    480: [25, 26, 47, 48],
-    490: [25, 48],
-  },
-  1020: {
-    400: [36, 37, 38, 39, 40, 41, 42],
-    410: [34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
-    420: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
-    430: [31, 32, 33, 34, 35, 36, 40, 41, 42, 43, 44, 45],
-    440: [30, 31, 32, 33, 43, 44, 45, 46],
-    450: [28, 29, 30, 31, 32, 44, 45, 46],
-    460: [27, 28, 29, 30, 45, 46],
-    470: [26, 27, 28, 29, 45, 46, 47],
-    480: [25, 26, 27, 46, 47, 48],
-    490: [25, 26, 46, 47, 48],
-    500: [25],
-  },
-  1030: {
-    410: [36, 37, 38, 39, 40, 41],
-    420: [34, 35, 36, 37, 38, 39, 40, 41, 42],
-    430: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
-    440: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
-    450: [29, 30, 31, 32, 33, 42, 43, 44, 45],
-    460: [28, 29, 30, 31, 43, 44, 45, 46],
-    470: [27, 28, 29, 30, 44, 45, 46],
-    480: [26, 27, 28, 29, 45, 46],
-    490: [26, 27, 46],
-    500: [26],
-  },
-  1040: {
-    420: [36, 37, 38, 39],
-    430: [34, 35, 36, 37, 38, 39, 40, 41, 42],
-    440: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
-    450: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
-    460: [29, 30, 31, 32, 33, 41, 42, 43, 44],
-    470: [28, 29, 30, 31, 42, 43, 44, 45],
-    480: [27, 28, 29, 30, 43, 44, 45, 46],
-    490: [27, 28, 29, 44, 45, 46],
-    500: [27],
-  },
-  1050: {
-    430: [37, 38],
-    440: [34, 35, 36, 37, 38, 39, 40, 41],
-    450: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
-    460: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43],
-    470: [29, 30, 31, 32, 33, 34, 39, 40, 41, 42, 43, 44],
-    480: [28, 29, 30, 31, 32, 41, 42, 43, 44],
-    490: [28, 29, 30, 42, 43, 44],
-    500: [28],
-  },
-  1060: {
-    450: [34, 35, 36, 37, 38, 39],
-    460: [32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
-    470: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
-    480: [29, 30, 31, 32, 33, 34, 35, 37, 38, 39, 40, 41, 42, 43],
-    490: [29, 30, 31, 32, 41, 42],
-    500: [30],
-  },
-  1070: {
-    460: [35, 36, 37, 38, 39],
-    470: [33, 34, 35, 36, 37, 38, 39, 40],
-    480: [31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
-    490: [30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42],
-    500: [31, 40],
-  },
-  1080: {
-    470: [36],
-    480: [33, 34, 35, 36, 37, 38, 39],
-    490: [31, 33, 34, 35, 36, 37, 38, 39, 40],
-    500: [37],
-  },
-  1090: {
-    490: [36, 37],
-  },
-};
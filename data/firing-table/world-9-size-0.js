@@ -1,5 +1,6 @@
 // Firing Table Data for World 9
-// Generated on 2025-08-05T03:42:32.326Z
+// Cannonball size level 0 (radius 8.0px)
+// Generated on 2026-10-19T18:31:51.164Z
 export default {
   0: {
     0: [95, 101, 102],
@@ -51,7 +52,7 @@ export default {
     460: [94],
     470: [94, 176, 177, 178],
     480: [94, 180, 181, 182, 183],
-    490: [94],
+    490: [94]
   },
   10: {
     0: [94, 100, 101],
@@ -104,7 +105,7 @@ export default {
     470: [172, 173, 174, 175, 176, 177, 178, 179, 180, 181],
     480: [177, 178, 179, 180, 181, 182, 183, 184, 185, 186],
     490: [182, 183, 184, 185, 186, 187],
-    500: [187],
+    500: [187]
   },
   20: {
     0: [94, 99, 100],
@@ -155,7 +156,7 @@ export default {
     450: [93, 162, 163, 164, 165, 166, 167, 168],
     460: [169, 170, 171, 172],
     470: [93],
-    490: [93, 187],
+    490: [93, 187]
   },
   30: {
     0: [98, 99],
@@ -208,7 +209,7 @@ export default {
     470: [93, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
     480: [93, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188],
     490: [93, 183, 184, 185, 186, 187, 188, 189, 190],
-    500: [190],
+    500: [190]
   },
   40: {
     0: [93, 98],
@@ -259,7 +260,7 @@ export default {
     460: [164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
     470: [171, 172, 173, 174, 175, 176, 177, 178, 179, 180],
     480: [179, 180, 181, 182, 183, 184, 185, 186, 187],
-    490: [185, 186, 187, 188, 189, 190],
+    490: [185, 186, 187, 188, 189, 190]
   },
   50: {
     0: [93, 97],
@@ -304,128 +305,113 @@ export default {
     390: [124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
     400: [129, 130, 131, 132, 133, 134, 135, 136],
     410: [134, 135, 136, 137, 138, 139],
-    420: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
+    420: [92, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
     430: [141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152],
-    440: [150, 151, 152, 153, 154, 155, 156],
+    440: [92, 150, 151, 152, 153, 154, 155, 156],
+    450: [92],
     460: [163, 164, 165, 166, 167, 168, 169, 170, 171, 172],
-    470: [170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
+    470: [92, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182],
     480: [178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190],
-    490: [187, 188, 189, 190, 191, 192, 193, 194, 195],
+    490: [92, 187, 188, 189, 190, 191, 192, 193, 194, 195]
   },
   60: {
-    0: [96],
-    10: [96, 97],
-    20: [96, 97],
-    30: [96, 97],
-    40: [96, 97],
-    50: [96, 97],
-    60: [97, 98],
-    70: [97, 98],
-    80: [97, 98],
-    90: [97, 98],
-    100: [97, 98, 99],
-    110: [97, 98, 99],
-    120: [98, 99],
-    130: [98, 99, 100],
-    140: [98, 99, 100],
-    150: [99, 100],
-    160: [99, 100, 101],
-    170: [99, 100, 101],
-    180: [99, 100, 101, 102],
-    190: [100, 101, 102],
-    200: [100, 101, 102],
-    210: [100, 101, 102, 103],
-    220: [101, 102, 103],
-    230: [101, 102, 103, 104, 105],
-    240: [103, 104],
-    250: [102, 103, 104, 105, 106],
-    260: [104, 105],
-    270: [103, 104, 105, 106, 107, 108],
-    280: [106, 107],
-    290: [105, 106, 107, 108, 109, 110],
-    300: [107, 108, 109],
-    310: [107, 108, 109, 110, 111, 112],
-    320: [108, 109, 110, 111, 112],
-    330: [109, 110, 111, 112, 113, 114, 115],
-    340: [110, 111, 112, 113, 114, 115, 116],
-    350: [113, 114, 115, 116, 117],
-    360: [113, 114, 115, 116, 117, 118, 119, 120, 121],
-    370: [119],
-    380: [117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
-    390: [121, 122, 123, 124, 125, 126, 127, 128, 129],
-    400: [127, 128, 129, 130],
-    410: [126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
-    420: [132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
-    440: [143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
-    450: [
-      149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163,
-      164, 165,
-    ],
-    460: [
-      157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171,
-      172, 173, 174,
-    ],
-    470: [
-      167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181,
-      182, 183,
-    ],
-    480: [
-      176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190,
-      191, 192, 193,
-    ],
-    490: [185, 186, 187, 188, 189, 190, 191, 192, 193, 194, 195],
-    500: [194, 195],
+    0: [92, 96],
+    10: [92, 96, 97],
+    20: [92, 96, 97],
+    30: [92, 96, 97],
+    40: [92, 96, 97],
+    50: [92, 96, 97],
+    60: [92, 97, 98],
+    70: [92, 97, 98],
+    80: [92, 97, 98],
+    90: [92, 97, 98],
+    100: [92, 97, 98, 99],
+    110: [92, 97, 98, 99],
+    120: [92, 98, 99],
+    130: [92, 98, 99, 100],
+    140: [92, 98, 99, 100],
+    150: [92, 99, 100],
+    160: [92, 99, 100, 101],
+    170: [92, 99, 100, 101],
+    180: [92, 99, 100, 101, 102],
+    190: [92, 100, 101, 102],
+    200: [92, 100, 101, 102],
+    210: [92, 100, 101, 102, 103],
+    220: [92, 101, 102, 103],
+    230: [92, 101, 102, 103, 104, 105],
+    240: [92, 103, 104],
+    250: [92, 102, 103, 104, 105, 106],
+    260: [92, 104, 105],
+    270: [92, 103, 104, 105, 106, 107, 108],
+    280: [92, 106, 107],
+    290: [92, 105, 106, 107, 108, 109, 110],
+    300: [92, 107, 108, 109],
+    310: [92, 107, 108, 109, 110, 111, 112],
+    320: [92, 108, 109, 110, 111, 112],
+    330: [92, 109, 110, 111, 112, 113, 114, 115],
+    340: [92, 110, 111, 112, 113, 114, 115, 116],
+    350: [92, 113, 114, 115, 116, 117],
+    360: [92, 113, 114, 115, 116, 117, 118, 119, 120, 121],
+    370: [92, 119],
+    380: [92, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126],
+    390: [92, 121, 122, 123, 124, 125, 126, 127, 128, 129],
+    400: [92, 127, 128, 129, 130],
+    410: [92, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138],
+    420: [92, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142],
+    430: [92],
+    440: [92, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156],
+    450: [92, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165],
+    460: [92, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174],
+    470: [92, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183],
+    480: [92, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192, 193],
+    490: [92, 185, 186, 187, 188, 189, 190, 191, 192, 193, 194, 195],
+    500: [194, 195]
   },
   70: {
-    0: [95],
-    10: [95, 96],
-    20: [95, 96],
-    30: [95, 96],
-    40: [95, 96],
-    50: [95, 96],
-    60: [96],
-    70: [95, 96, 97],
-    80: [96, 97],
-    90: [96, 97],
-    100: [96, 97],
-    110: [96, 97, 98],
-    120: [97, 98],
-    130: [97, 98],
-    140: [97, 98, 99],
-    150: [97, 98],
-    160: [97, 98, 99],
-    170: [98, 99, 100],
-    180: [98, 99, 100],
-    190: [98, 99, 100],
-    200: [99, 100],
-    210: [98, 99, 100, 101],
-    220: [100, 101],
-    230: [99, 100, 101, 102],
-    240: [101, 102],
-    250: [100, 101, 102, 103, 104],
-    260: [101, 102, 103, 104],
-    270: [101, 102, 103, 104, 105],
-    280: [103, 104, 105],
-    290: [102, 103, 104, 105, 106, 107],
-    300: [105, 106],
+    0: [92, 95],
+    10: [92, 95, 96],
+    20: [92, 95, 96],
+    30: [92, 95, 96],
+    40: [92, 95, 96],
+    50: [92, 95, 96],
+    60: [92, 96],
+    70: [92, 95, 96, 97],
+    80: [92, 96, 97],
+    90: [92, 96, 97],
+    100: [92, 96, 97],
+    110: [92, 96, 97, 98],
+    120: [92, 97, 98],
+    130: [92, 97, 98],
+    140: [92, 97, 98, 99],
+    150: [92, 97, 98],
+    160: [92, 97, 98, 99],
+    170: [92, 98, 99, 100],
+    180: [92, 98, 99, 100],
+    190: [92, 98, 99, 100],
+    200: [92, 99, 100],
+    210: [92, 98, 99, 100, 101],
+    220: [92, 100, 101],
+    230: [92, 99, 100, 101, 102],
+    240: [92, 101, 102],
+    250: [92, 100, 101, 102, 103, 104],
+    260: [92, 101, 102, 103, 104],
+    270: [92, 101, 102, 103, 104, 105],
+    280: [92, 103, 104, 105],
+    290: [92, 102, 103, 104, 105, 106, 107],
+    300: [92, 105, 106],
     310: [104, 105, 106, 107, 108, 109],
-    330: [105, 106, 107, 108, 109, 110, 111, 112],
+    320: [92],
+    330: [92, 105, 106, 107, 108, 109, 110, 111, 112],
     340: [108, 109, 110, 111],
-    350: [108, 109, 110, 111, 112, 113, 114, 115],
-    360: [110, 111, 112, 113, 114, 115, 116],
+    350: [92, 108, 109, 110, 111, 112, 113, 114, 115],
+    360: [92, 110, 111, 112, 113, 114, 115, 116],
     370: [112, 113, 114, 115, 116, 117, 118],
     380: [113, 114, 115, 116, 117, 118, 119, 120, 121, 122],
     400: [118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129],
     410: [122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
-    430: [
-      130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144,
-      145,
-    ],
-    440: [
-      136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150,
-      151, 152, 153,
-    ],
-    450: [148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159],
+    430: [130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145],
+    440: [136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153],
+    450: [148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159]
   },
   80: {
     0: [94],
@@ -468,110 +454,106 @@ export default {
     380: [109, 110, 111, 112, 113, 114, 115, 116],
     390: [111, 112, 113, 114, 115, 116, 117, 118, 119],
     400: [112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124],
-    420: [
-      119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133,
-    ],
-    430: [
-      123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137,
-      138, 139, 140,
-    ],
+    420: [91, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133],
+    430: [123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140],
+    450: [91],
+    470: [91]
   },
   90: {
-    0: [93],
-    10: [93, 94],
-    20: [93, 94],
-    30: [93, 94],
-    40: [93, 94],
-    50: [93, 94],
-    60: [93, 94],
-    70: [93, 94],
-    80: [93, 94, 95],
-    90: [93, 94, 95],
-    100: [94, 95],
-    110: [93, 94, 95],
-    120: [93, 94, 95],
-    130: [94, 95],
-    140: [94, 95, 96],
-    150: [94, 95, 96],
-    160: [94, 95, 96],
-    170: [94, 95, 96],
-    180: [95, 96],
-    190: [94, 95, 96, 97],
-    200: [95, 96, 97],
-    210: [95, 96, 97],
-    220: [95, 96, 97],
-    230: [95, 96, 97, 98],
-    240: [95, 96, 97, 98],
-    250: [96, 97, 98, 99],
-    260: [96, 97, 98, 99],
-    270: [96, 97, 98, 99, 100],
-    280: [96, 97, 98, 99, 100],
-    290: [97, 98, 99, 100, 101],
-    300: [97, 98, 99, 100, 101, 102],
-    310: [98, 99, 100, 101, 102],
-    320: [98, 99, 100, 101, 102, 103],
-    330: [98, 99, 100, 101, 102, 103, 104],
-    340: [100, 101, 102, 103, 104],
-    350: [99, 100, 101, 102, 103, 104, 105, 106, 107],
-    370: [101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
-    380: [106, 107, 108, 109],
-    390: [104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
-    400: [106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
-    410: [110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
-    420: [
-      110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124,
-      125, 126, 127,
-    ],
-    430: [121, 122, 123, 124, 125, 126],
+    0: [91, 93],
+    10: [91, 93, 94],
+    20: [91, 93, 94],
+    30: [91, 93, 94],
+    40: [91, 93, 94],
+    50: [91, 93, 94],
+    60: [91, 93, 94],
+    70: [91, 93, 94],
+    80: [91, 93, 94, 95],
+    90: [91, 93, 94, 95],
+    100: [91, 94, 95],
+    110: [91, 93, 94, 95],
+    120: [91, 93, 94, 95],
+    130: [91, 94, 95],
+    140: [91, 94, 95, 96],
+    150: [91, 94, 95, 96],
+    160: [91, 94, 95, 96],
+    170: [91, 94, 95, 96],
+    180: [91, 95, 96],
+    190: [91, 94, 95, 96, 97],
+    200: [91, 95, 96, 97],
+    210: [91, 95, 96, 97],
+    220: [91, 95, 96, 97],
+    230: [91, 95, 96, 97, 98],
+    240: [91, 95, 96, 97, 98],
+    250: [91, 96, 97, 98, 99],
+    260: [91, 96, 97, 98, 99],
+    270: [91, 96, 97, 98, 99, 100],
+    280: [91, 96, 97, 98, 99, 100],
+    290: [91, 97, 98, 99, 100, 101],
+    300: [91, 97, 98, 99, 100, 101, 102],
+    310: [91, 98, 99, 100, 101, 102],
+    320: [91, 98, 99, 100, 101, 102, 103],
+    330: [91, 98, 99, 100, 101, 102, 103, 104],
+    340: [91, 100, 101, 102, 103, 104],
+    350: [91, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    360: [91],
+    370: [91, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110],
+    380: [91, 106, 107, 108, 109],
+    390: [91, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115],
+    400: [91, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117],
+    410: [91, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119],
+    420: [91, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127],
+    430: [91, 121, 122, 123, 124, 125, 126],
+    440: [91],
+    450: [91],
+    460: [91],
+    470: [91],
+    480: [91],
+    490: [91]
   },
   100: {
-    0: [92, 93],
-    10: [92, 93],
-    20: [92, 93],
-    30: [92, 93],
-    40: [92, 93],
-    50: [92, 93],
-    60: [92, 93],
-    70: [92, 93],
-    80: [92, 93],
-    90: [92, 93],
-    100: [92, 93],
-    110: [92, 93, 94],
-    120: [92, 93, 94],
-    130: [92, 93, 94],
-    140: [92, 93, 94],
-    150: [92, 93, 94],
-    160: [92, 93, 94],
-    170: [92, 93, 94, 95],
-    180: [93, 94],
-    190: [92, 93, 94, 95],
+    0: [91, 92, 93],
+    10: [91, 92, 93],
+    20: [91, 92, 93],
+    30: [91, 92, 93],
+    40: [91, 92, 93],
+    50: [91, 92, 93],
+    60: [91, 92, 93],
+    70: [91, 92, 93],
+    80: [91, 92, 93],
+    90: [91, 92, 93],
+    100: [91, 92, 93],
+    110: [91, 92, 93, 94],
+    120: [91, 92, 93, 94],
+    130: [91, 92, 93, 94],
+    140: [91, 92, 93, 94],
+    150: [91, 92, 93, 94],
+    160: [91, 92, 93, 94],
+    170: [91, 92, 93, 94, 95],
+    180: [91, 93, 94],
+    190: [91, 92, 93, 94, 95],
     200: [93, 94, 95],
-    210: [93, 94, 95],
-    220: [93, 94, 95, 96],
-    230: [93, 94, 95, 96],
+    210: [91, 93, 94, 95],
+    220: [91, 93, 94, 95, 96],
+    230: [91, 93, 94, 95, 96],
     240: [93, 94, 95, 96],
-    250: [93, 94, 95, 96],
-    260: [93, 94, 95, 96, 97],
-    270: [94, 95, 96, 97],
+    250: [91, 93, 94, 95, 96],
+    260: [91, 93, 94, 95, 96, 97],
+    270: [91, 94, 95, 96, 97],
     280: [93, 94, 95, 96, 97, 98],
-    290: [94, 95, 96, 97, 98],
-    300: [94, 95, 96, 97, 98, 99],
+    290: [91, 94, 95, 96, 97, 98],
+    300: [91, 94, 95, 96, 97, 98, 99],
     310: [95, 96, 97, 98, 99],
     320: [94, 95, 96, 97, 98, 99, 100],
-    330: [95, 96, 97, 98, 99, 100],
+    330: [91, 95, 96, 97, 98, 99, 100],
     340: [95, 96, 97, 98, 99, 100, 101],
     350: [95, 96, 97, 98, 99, 100, 101, 102],
-    360: [97, 98, 99, 100, 101, 102],
+    360: [91, 97, 98, 99, 100, 101, 102],
     370: [96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
     390: [97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109],
     400: [102, 103, 104, 105, 106, 107, 108],
-    410: [
-      100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114,
-    ],
-    420: [
-      102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116,
-      117, 118,
-    ],
+    410: [100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114],
+    420: [102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118]
   },
   110: {
     0: [91, 92],
@@ -614,11 +596,8 @@ export default {
     370: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100],
     380: [94, 95, 96, 97, 98],
     390: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103],
-    410: [
-      91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106,
-      107,
-    ],
-    420: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
+    410: [91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107],
+    420: [94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106]
   },
   120: {
     0: [90],
@@ -661,8 +640,16 @@ export default {
     370: [86, 87, 88, 89, 90, 91, 92, 93, 94],
     380: [87, 88, 89, 90, 91, 92, 93],
     390: [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96],
+    400: [90],
     410: [82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98],
     420: [85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
+    430: [90],
+    440: [90],
+    450: [90],
+    460: [90],
+    470: [90],
+    480: [90],
+    490: [90]
   },
   130: {
     0: [88, 89],
@@ -706,98 +693,103 @@ export default {
     380: [82, 83, 84, 85, 86],
     390: [77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
     410: [73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89],
-    420: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86],
+    420: [74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86]
   },
   140: {
-    0: [87, 88],
-    10: [87, 88],
-    20: [87, 88],
-    30: [87, 88],
-    40: [87, 88],
-    50: [87, 88],
-    60: [87, 88],
-    70: [87, 88],
-    80: [87, 88],
-    90: [87, 88],
-    100: [87, 88],
-    110: [86, 87, 88],
-    120: [86, 87, 88],
-    130: [86, 87, 88],
-    140: [86, 87, 88],
-    150: [86, 87, 88],
-    160: [86, 87, 88],
-    170: [85, 86, 87, 88],
-    180: [86, 87],
-    190: [85, 86, 87, 88],
+    0: [87, 88, 89],
+    10: [87, 88, 89],
+    20: [87, 88, 89],
+    30: [87, 88, 89],
+    40: [87, 88, 89],
+    50: [87, 88, 89],
+    60: [87, 88, 89],
+    70: [87, 88, 89],
+    80: [87, 88, 89],
+    90: [87, 88, 89],
+    100: [87, 88, 89],
+    110: [86, 87, 88, 89],
+    120: [86, 87, 88, 89],
+    130: [86, 87, 88, 89],
+    140: [86, 87, 88, 89],
+    150: [86, 87, 88, 89],
+    160: [86, 87, 88, 89],
+    170: [85, 86, 87, 88, 89],
+    180: [86, 87, 89],
+    190: [85, 86, 87, 88, 89],
     200: [85, 86, 87],
-    210: [85, 86, 87],
-    220: [84, 85, 86, 87],
-    230: [84, 85, 86, 87],
+    210: [85, 86, 87, 89],
+    220: [84, 85, 86, 87, 89],
+    230: [84, 85, 86, 87, 89],
     240: [84, 85, 86, 87],
-    250: [84, 85, 86, 87],
-    260: [83, 84, 85, 86, 87],
-    270: [83, 84, 85, 86],
+    250: [84, 85, 86, 87, 89],
+    260: [83, 84, 85, 86, 87, 89],
+    270: [83, 84, 85, 86, 89],
     280: [82, 83, 84, 85, 86, 87],
-    290: [82, 83, 84, 85, 86],
-    300: [81, 82, 83, 84, 85, 86],
+    290: [82, 83, 84, 85, 86, 89],
+    300: [81, 82, 83, 84, 85, 86, 89],
     310: [81, 82, 83, 84, 85],
     320: [80, 81, 82, 83, 84, 85, 86],
-    330: [80, 81, 82, 83, 84, 85],
+    330: [80, 81, 82, 83, 84, 85, 89],
     340: [79, 80, 81, 82, 83, 84, 85],
     350: [78, 79, 80, 81, 82, 83, 84, 85],
-    360: [78, 79, 80, 81, 82, 83],
+    360: [78, 79, 80, 81, 82, 83, 89],
     370: [75, 76, 77, 78, 79, 80, 81, 82, 83, 84],
     390: [71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83],
     400: [72, 73, 74, 75, 76, 77, 78],
     410: [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80],
-    420: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78],
+    420: [62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78]
   },
   150: {
-    0: [87],
-    10: [86, 87],
-    20: [86, 87],
-    30: [86, 87],
-    40: [86, 87],
-    50: [86, 87],
-    60: [86, 87],
-    70: [86, 87],
-    80: [85, 86, 87],
-    90: [85, 86, 87],
-    100: [85, 86],
-    110: [85, 86, 87],
-    120: [85, 86, 87],
-    130: [85, 86],
-    140: [84, 85, 86],
-    150: [84, 85, 86],
-    160: [84, 85, 86],
-    170: [84, 85, 86],
-    180: [84, 85],
-    190: [83, 84, 85, 86],
-    200: [83, 84, 85],
-    210: [83, 84, 85],
-    220: [83, 84, 85],
-    230: [82, 83, 84, 85],
-    240: [82, 83, 84, 85],
-    250: [81, 82, 83, 84],
-    260: [81, 82, 83, 84],
-    270: [80, 81, 82, 83, 84],
-    280: [80, 81, 82, 83, 84],
-    290: [79, 80, 81, 82, 83],
-    300: [78, 79, 80, 81, 82, 83],
-    310: [78, 79, 80, 81, 82],
-    320: [77, 78, 79, 80, 81, 82],
-    330: [76, 77, 78, 79, 80, 81, 82],
-    340: [76, 77, 78, 79, 80],
-    350: [73, 74, 75, 76, 77, 78, 79, 80, 81],
-    370: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79],
-    380: [71, 72, 73, 74],
-    390: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76],
-    400: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
-    410: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
-    420: [
-      53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70,
-    ],
-    430: [54, 55, 56, 57, 58, 59],
+    0: [87, 89],
+    10: [86, 87, 89],
+    20: [86, 87, 89],
+    30: [86, 87, 89],
+    40: [86, 87, 89],
+    50: [86, 87, 89],
+    60: [86, 87, 89],
+    70: [86, 87, 89],
+    80: [85, 86, 87, 89],
+    90: [85, 86, 87, 89],
+    100: [85, 86, 89],
+    110: [85, 86, 87, 89],
+    120: [85, 86, 87, 89],
+    130: [85, 86, 89],
+    140: [84, 85, 86, 89],
+    150: [84, 85, 86, 89],
+    160: [84, 85, 86, 89],
+    170: [84, 85, 86, 89],
+    180: [84, 85, 89],
+    190: [83, 84, 85, 86, 89],
+    200: [83, 84, 85, 89],
+    210: [83, 84, 85, 89],
+    220: [83, 84, 85, 89],
+    230: [82, 83, 84, 85, 89],
+    240: [82, 83, 84, 85, 89],
+    250: [81, 82, 83, 84, 89],
+    260: [81, 82, 83, 84, 89],
+    270: [80, 81, 82, 83, 84, 89],
+    280: [80, 81, 82, 83, 84, 89],
+    290: [79, 80, 81, 82, 83, 89],
+    300: [78, 79, 80, 81, 82, 83, 89],
+    310: [78, 79, 80, 81, 82, 89],
+    320: [77, 78, 79, 80, 81, 82, 89],
+    330: [76, 77, 78, 79, 80, 81, 82, 89],
+    340: [76, 77, 78, 79, 80, 89],
+    350: [73, 74, 75, 76, 77, 78, 79, 80, 81, 89],
+    360: [89],
+    370: [70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 89],
+    380: [71, 72, 73, 74, 89],
+    390: [65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 89],
+    400: [63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 89],
+    410: [61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 89],
+    420: [53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 89],
+    430: [54, 55, 56, 57, 58, 59, 89],
+    440: [89],
+    450: [89],
+    460: [89],
+    470: [89],
+    480: [89],
+    490: [89]
   },
   160: {
     0: [86],
@@ -840,112 +832,109 @@ export default {
     380: [64, 65, 66, 67, 68, 69, 70, 71],
     390: [61, 62, 63, 64, 65, 66, 67, 68, 69],
     400: [56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68],
-    420: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61],
-    430: [
-      40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57,
-    ],
+    420: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 89],
+    430: [40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57],
+    450: [89],
+    470: [89]
   },
   170: {
-    0: [85],
-    10: [84, 85],
-    20: [84, 85],
-    30: [84, 85],
-    40: [84, 85],
-    50: [84, 85],
-    60: [84],
-    70: [83, 84, 85],
-    80: [83, 84],
-    90: [83, 84],
-    100: [83, 84],
-    110: [82, 83, 84],
-    120: [82, 83],
-    130: [82, 83],
-    140: [81, 82, 83],
-    150: [82, 83],
-    160: [81, 82, 83],
-    170: [80, 81, 82],
-    180: [80, 81, 82],
-    190: [80, 81, 82],
-    200: [80, 81],
-    210: [79, 80, 81, 82],
-    220: [79, 80],
-    230: [78, 79, 80, 81],
-    240: [78, 79],
-    250: [76, 77, 78, 79, 80],
-    260: [76, 77, 78, 79],
-    270: [75, 76, 77, 78, 79],
-    280: [75, 76, 77],
-    290: [73, 74, 75, 76, 77, 78],
-    300: [74, 75],
+    0: [85, 88],
+    10: [84, 85, 88],
+    20: [84, 85, 88],
+    30: [84, 85, 88],
+    40: [84, 85, 88],
+    50: [84, 85, 88],
+    60: [84, 88],
+    70: [83, 84, 85, 88],
+    80: [83, 84, 88],
+    90: [83, 84, 88],
+    100: [83, 84, 88],
+    110: [82, 83, 84, 88],
+    120: [82, 83, 88],
+    130: [82, 83, 88],
+    140: [81, 82, 83, 88],
+    150: [82, 83, 88],
+    160: [81, 82, 83, 88],
+    170: [80, 81, 82, 88],
+    180: [80, 81, 82, 88],
+    190: [80, 81, 82, 88],
+    200: [80, 81, 88],
+    210: [79, 80, 81, 82, 88],
+    220: [79, 80, 88],
+    230: [78, 79, 80, 81, 88],
+    240: [78, 79, 88],
+    250: [76, 77, 78, 79, 80, 88],
+    260: [76, 77, 78, 79, 88],
+    270: [75, 76, 77, 78, 79, 88],
+    280: [75, 76, 77, 88],
+    290: [73, 74, 75, 76, 77, 78, 88],
+    300: [74, 75, 88],
     310: [71, 72, 73, 74, 75, 76],
-    330: [68, 69, 70, 71, 72, 73, 74, 75],
+    320: [88],
+    330: [68, 69, 70, 71, 72, 73, 74, 75, 88],
     340: [69, 70, 71, 72],
-    350: [65, 66, 67, 68, 69, 70, 71, 72],
-    360: [64, 65, 66, 67, 68, 69, 70],
+    350: [65, 66, 67, 68, 69, 70, 71, 72, 88],
+    360: [64, 65, 66, 67, 68, 69, 70, 88],
     370: [62, 63, 64, 65, 66, 67, 68],
     380: [58, 59, 60, 61, 62, 63, 64, 65, 66, 67],
     400: [51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
     410: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58],
     430: [35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
-    440: [
-      27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44,
-    ],
-    450: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
+    440: [27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    450: [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32]
   },
   180: {
-    0: [84],
-    10: [83, 84],
-    20: [83, 84],
-    30: [83, 84],
-    40: [83, 84],
-    50: [83, 84],
-    60: [82, 83],
-    70: [82, 83],
-    80: [82, 83],
-    90: [82, 83],
-    100: [81, 82, 83],
-    110: [81, 82, 83],
-    120: [81, 82],
-    130: [80, 81, 82],
-    140: [80, 81, 82],
-    150: [80, 81],
-    160: [79, 80, 81],
-    170: [79, 80, 81],
-    180: [78, 79, 80, 81],
-    190: [78, 79, 80],
-    200: [78, 79, 80],
-    210: [77, 78, 79, 80],
-    220: [77, 78, 79],
-    230: [75, 76, 77, 78, 79],
-    240: [76, 77],
-    250: [74, 75, 76, 77, 78],
-    260: [75, 76],
-    270: [72, 73, 74, 75, 76, 77],
-    280: [73, 74],
-    290: [70, 71, 72, 73, 74, 75],
-    300: [71, 72, 73],
-    310: [68, 69, 70, 71, 72, 73],
-    320: [68, 69, 70, 71, 72],
-    330: [65, 66, 67, 68, 69, 70, 71],
-    340: [64, 65, 66, 67, 68, 69, 70],
-    350: [63, 64, 65, 66, 67],
-    360: [59, 60, 61, 62, 63, 64, 65, 66, 67],
-    370: [61],
-    380: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63],
-    390: [51, 52, 53, 54, 55, 56, 57, 58, 59],
-    400: [50, 51, 52, 53],
-    410: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54],
-    420: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48],
-    440: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
-    450: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31],
-    460: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 357, 358, 359],
-    480: [
-      0, 1, 2, 3, 4, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358,
-      359,
-    ],
-    490: [345, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355],
-    500: [345, 346],
+    0: [84, 88],
+    10: [83, 84, 88],
+    20: [83, 84, 88],
+    30: [83, 84, 88],
+    40: [83, 84, 88],
+    50: [83, 84, 88],
+    60: [82, 83, 88],
+    70: [82, 83, 88],
+    80: [82, 83, 88],
+    90: [82, 83, 88],
+    100: [81, 82, 83, 88],
+    110: [81, 82, 83, 88],
+    120: [81, 82, 88],
+    130: [80, 81, 82, 88],
+    140: [80, 81, 82, 88],
+    150: [80, 81, 88],
+    160: [79, 80, 81, 88],
+    170: [79, 80, 81, 88],
+    180: [78, 79, 80, 81, 88],
+    190: [78, 79, 80, 88],
+    200: [78, 79, 80, 88],
+    210: [77, 78, 79, 80, 88],
+    220: [77, 78, 79, 88],
+    230: [75, 76, 77, 78, 79, 88],
+    240: [76, 77, 88],
+    250: [74, 75, 76, 77, 78, 88],
+    260: [75, 76, 88],
+    270: [72, 73, 74, 75, 76, 77, 88],
+    280: [73, 74, 88],
+    290: [70, 71, 72, 73, 74, 75, 88],
+    300: [71, 72, 73, 88],
+    310: [68, 69, 70, 71, 72, 73, 88],
+    320: [68, 69, 70, 71, 72, 88],
+    330: [65, 66, 67, 68, 69, 70, 71, 88],
+    340: [64, 65, 66, 67, 68, 69, 70, 88],
+    350: [63, 64, 65, 66, 67, 88],
+    360: [59, 60, 61, 62, 63, 64, 65, 66, 67, 88],
+    370: [61, 88],
+    380: [54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 88],
+    390: [51, 52, 53, 54, 55, 56, 57, 58, 59, 88],
+    400: [50, 51, 52, 53, 88],
+    410: [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 88],
+    420: [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 88],
+    430: [88],
+    440: [24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 88],
+    450: [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 88],
+    460: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 88],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 88, 357, 358, 359],
+    480: [0, 1, 2, 3, 4, 88, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
+    490: [88, 345, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355],
+    500: [345, 346]
   },
   190: {
     0: [83, 87],
@@ -990,13 +979,14 @@ export default {
     390: [47, 48, 49, 50, 51, 52, 53, 54, 55, 56],
     400: [44, 45, 46, 47, 48, 49, 50, 51],
     410: [41, 42, 43, 44, 45, 46],
-    420: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44],
+    420: [33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 88],
     430: [28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39],
-    440: [24, 25, 26, 27, 28, 29, 30],
+    440: [24, 25, 26, 27, 28, 29, 30, 88],
+    450: [88],
     460: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17],
-    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 358, 359],
+    470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 88, 358, 359],
     480: [0, 1, 2, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359],
-    490: [345, 346, 347, 348, 349, 350, 351, 352, 353],
+    490: [88, 345, 346, 347, 348, 349, 350, 351, 352, 353]
   },
   200: {
     0: [82, 87],
@@ -1047,7 +1037,7 @@ export default {
     460: [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
     480: [0, 1, 353, 354, 355, 356, 357, 358, 359],
-    490: [350, 351, 352, 353, 354, 355],
+    490: [350, 351, 352, 353, 354, 355]
   },
   210: {
     0: [81, 82],
@@ -1100,7 +1090,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 87, 358, 359],
     480: [0, 1, 2, 3, 87, 352, 353, 354, 355, 356, 357, 358, 359],
     490: [87, 350, 351, 352, 353, 354, 355, 356, 357],
-    500: [350],
+    500: [350]
   },
   220: {
     0: [80, 81, 86],
@@ -1151,7 +1141,7 @@ export default {
     450: [12, 13, 14, 15, 16, 17, 18, 87],
     460: [8, 9, 10, 11],
     470: [87],
-    490: [87, 353],
+    490: [87, 353]
   },
   230: {
     0: [79, 80, 86],
@@ -1204,7 +1194,7 @@ export default {
     470: [0, 1, 2, 3, 4, 5, 6, 7, 8, 359],
     480: [0, 1, 2, 3, 354, 355, 356, 357, 358, 359],
     490: [353, 354, 355, 356, 357, 358],
-    500: [353],
+    500: [353]
   },
   240: {
     0: [78, 79, 85],
@@ -1256,7 +1246,7 @@ export default {
     460: [86],
     470: [2, 3, 4, 86],
     480: [0, 86, 357, 358, 359],
-    490: [86],
+    490: [86]
   },
   250: {
     0: [77, 78, 85],
@@ -1308,7 +1298,7 @@ export default {
     460: [4, 5, 6, 7, 8, 9, 10, 11, 12, 86],
     470: [0, 1, 2, 3, 4, 5, 6, 7, 86],
     480: [0, 1, 2, 3, 356, 357, 358, 359],
-    490: [86, 355, 356, 357, 358],
+    490: [86, 355, 356, 357, 358]
   },
   260: {
     0: [76, 77],
@@ -1359,7 +1349,7 @@ export default {
     460: [5, 6, 7, 8, 9, 10],
     470: [1, 2, 3, 4, 5, 6],
     480: [0, 1, 2, 356, 357, 358, 359],
-    490: [355, 356, 357, 358],
+    490: [355, 356, 357, 358]
   },
   270: {
     0: [75, 76, 84],
@@ -1412,7 +1402,7 @@ export default {
     470: [1, 2, 3, 4, 5, 6, 85],
     480: [0, 1, 2, 85, 358, 359],
     490: [85, 356, 357, 358, 359],
-    500: [85],
+    500: [85]
   },
   280: {
     0: [74, 75, 84],
@@ -1463,7 +1453,7 @@ export default {
     460: [4, 5, 6, 7, 8, 9, 10, 85],
     470: [1, 2, 3, 4, 5, 6, 85],
     480: [0, 1, 2, 3, 85, 357, 358, 359],
-    490: [85, 356, 357, 358, 359],
+    490: [85, 356, 357, 358, 359]
   },
   290: {
     0: [73, 74, 83],
@@ -1515,7 +1505,7 @@ export default {
     460: [6, 7, 8, 9],
     470: [3, 4, 5],
     480: [0, 1],
-    490: [357, 358],
+    490: [357, 358]
   },
   300: {
     0: [73, 83],
@@ -1568,7 +1558,7 @@ export default {
     470: [1, 2, 3, 4, 5, 6, 84],
     480: [0, 1, 2, 3, 84, 358, 359],
     490: [0, 357, 358, 359],
-    500: [357],
+    500: [357]
   },
   310: {
     0: [72, 73],
@@ -1616,7 +1606,7 @@ export default {
     440: [11, 12, 13, 14, 15],
     450: [9, 10, 11, 84],
     460: [7, 84],
-    480: [84],
+    480: [84]
   },
   320: {
     0: [71, 72, 82],
@@ -1669,7 +1659,7 @@ export default {
     470: [2, 3, 4, 5, 6],
     480: [0, 1, 2, 3, 359],
     490: [0, 1, 358, 359],
-    500: [358],
+    500: [358]
   },
   330: {
     0: [70, 71, 82],
@@ -1721,7 +1711,7 @@ export default {
     460: [6, 83],
     470: [3, 4, 83],
     480: [0, 1, 2, 83],
-    490: [83, 358, 359],
+    490: [83, 358, 359]
   },
   340: {
     0: [69, 70, 81],
@@ -1773,7 +1763,7 @@ export default {
     460: [5, 6, 7, 8, 9, 83],
     470: [2, 3, 4, 5, 6, 83],
     480: [0, 1, 2, 3, 83],
-    490: [0, 1, 359],
+    490: [0, 1, 359]
   },
   350: {
     0: [69, 81],
@@ -1824,7 +1814,7 @@ export default {
     460: [5, 6, 7, 8],
     470: [3, 4, 5],
     480: [0, 1, 2, 3],
-    490: [0, 359],
+    490: [0, 359]
   },
   360: {
     0: [68, 69, 80],
@@ -1876,7 +1866,7 @@ export default {
     460: [5, 6, 7, 8, 9, 82],
     470: [3, 4, 5, 6, 82],
     480: [1, 2, 3, 4, 82],
-    490: [0, 1, 82],
+    490: [0, 1, 82]
   },
   370: {
     0: [67, 68, 80],
@@ -1928,7 +1918,7 @@ export default {
     460: [5, 6, 7, 8],
     470: [3, 4, 5, 6, 82],
     480: [0, 1, 2, 3, 4, 82],
-    490: [0, 1, 82],
+    490: [0, 1, 82]
   },
   380: {
     0: [67],
@@ -1980,7 +1970,7 @@ export default {
     460: [6, 7, 8],
     470: [4, 5, 6],
     480: [2, 3, 4],
-    490: [0, 1],
+    490: [0, 1]
   },
   390: {
     0: [66, 67, 79],
@@ -2033,7 +2023,7 @@ export default {
     470: [3, 4, 5, 6, 81],
     480: [1, 2, 3, 4, 81],
     490: [0, 1, 2, 81],
-    500: [0],
+    500: [0]
   },
   400: {
     0: [65, 66, 79],
@@ -2085,7 +2075,7 @@ export default {
     460: [6, 7, 8, 81],
     470: [4, 5, 6, 81],
     480: [2, 3, 4, 81],
-    490: [1, 2, 81],
+    490: [1, 2, 81]
   },
   410: {
     0: [65, 78],
@@ -2137,7 +2127,7 @@ export default {
     460: [6, 7, 8],
     470: [4, 5, 6],
     480: [2, 3, 4],
-    490: [1, 2],
+    490: [1, 2]
   },
   420: {
     0: [64, 65, 78],
@@ -2188,7 +2178,7 @@ export default {
     450: [8, 9, 10, 80],
     460: [7, 8, 80],
     470: [5, 6, 80],
-    480: [3, 4, 80],
+    480: [3, 4, 80]
   },
   430: {
     0: [63, 64, 77],
@@ -2240,7 +2230,7 @@ export default {
     460: [6, 7, 8, 80],
     470: [4, 5, 6, 7],
     480: [2, 3, 4, 5, 80],
-    490: [2, 3],
+    490: [2, 3]
   },
   440: {
     0: [63, 64, 77],
@@ -2290,7 +2280,7 @@ export default {
     440: [10, 11, 12, 79],
     450: [9, 10],
     460: [7, 8],
-    470: [6],
+    470: [6]
   },
   450: {
     0: [62, 63],
@@ -2343,7 +2333,7 @@ export default {
     470: [4, 5, 6, 7, 79],
     480: [3, 4, 5, 79],
     490: [2, 3, 79],
-    500: [2],
+    500: [2]
   },
   460: {
     0: [62, 76],
@@ -2395,7 +2385,7 @@ export default {
     460: [8],
     470: [6, 79],
     480: [4, 79],
-    490: [2, 79],
+    490: [2, 79]
   },
   470: {
     0: [61, 62, 76],
@@ -2447,7 +2437,7 @@ export default {
     460: [6, 7, 8, 9],
     470: [5, 6, 7],
     480: [3, 4, 5],
-    490: [3, 4],
+    490: [3, 4]
   },
   480: {
     0: [61, 75],
@@ -2500,7 +2490,7 @@ export default {
     470: [78],
     480: [4, 78],
     490: [3, 78],
-    500: [78],
+    500: [78]
   },
   490: {
     0: [60, 61, 75],
@@ -2553,7 +2543,7 @@ export default {
     470: [5, 6, 7, 78],
     480: [4, 5, 6, 78],
     490: [3, 4, 78],
-    500: [3],
+    500: [3]
   },
   500: {
     0: [60, 61, 74],
@@ -2605,7 +2595,7 @@ export default {
     460: [8],
     470: [6],
     480: [4, 5],
-    490: [3, 4],
+    490: [3, 4]
   },
   510: {
     0: [59, 60, 74],
@@ -2657,7 +2647,7 @@ export default {
     460: [7, 8, 9, 77],
     470: [6, 7, 8, 77],
     480: [4, 5, 6, 77],
-    490: [4, 5, 77],
+    490: [4, 5, 77]
   },
   520: {
     0: [59, 60, 73],
@@ -2708,7 +2698,7 @@ export default {
     450: [10],
     460: [8, 9],
     480: [5, 77],
-    490: [4],
+    490: [4]
   },
   530: {
     0: [59, 73],
@@ -2761,7 +2751,7 @@ export default {
     470: [6, 7, 8, 76],
     480: [5, 6, 7],
     490: [4, 5],
-    500: [4],
+    500: [4]
   },
   540: {
     0: [58, 59, 72],
@@ -2813,7 +2803,7 @@ export default {
     460: [9, 76],
     470: [7, 76],
     480: [5, 6, 76],
-    490: [4, 5, 76],
+    490: [4, 5, 76]
   },
   550: {
     0: [58, 59, 72],
@@ -2865,7 +2855,7 @@ export default {
     460: [8, 9],
     470: [7, 8],
     480: [5, 6, 7],
-    490: [5, 6, 76],
+    490: [5, 6, 76]
   },
   560: {
     0: [58, 71],
@@ -2917,7 +2907,7 @@ export default {
     460: [9, 10, 75],
     470: [8, 75],
     480: [6, 75],
-    490: [5],
+    490: [5]
   },
   570: {
     0: [57, 58, 71],
@@ -2970,7 +2960,7 @@ export default {
     470: [7, 8, 9, 75],
     480: [6, 7, 75],
     490: [5, 6, 75],
-    500: [5],
+    500: [5]
   },
   580: {
     0: [57, 58, 70],
@@ -3022,7 +3012,7 @@ export default {
     460: [9, 10],
     470: [8, 9],
     480: [7],
-    490: [5],
+    490: [5]
   },
   590: {
     0: [57, 58, 70],
@@ -3074,7 +3064,7 @@ export default {
     460: [9, 10, 74],
     470: [7, 8, 9, 74],
     480: [6, 7, 8, 74],
-    490: [6, 74],
+    490: [6, 74]
   },
   600: {
     0: [57, 69],
@@ -3126,7 +3116,7 @@ export default {
     460: [9, 10, 74],
     470: [8, 9, 74],
     480: [7, 8, 74],
-    490: [6, 74],
+    490: [6, 74]
   },
   610: {
     0: [57, 68, 69],
@@ -3179,7 +3169,7 @@ export default {
     470: [8, 9],
     480: [7, 8],
     490: [6, 7],
-    500: [6],
+    500: [6]
   },
   620: {
     0: [56, 57, 68],
@@ -3231,7 +3221,7 @@ export default {
     460: [10, 11, 73],
     470: [9, 73],
     480: [8, 73],
-    490: [7],
+    490: [7]
   },
   630: {
     0: [56, 57, 67],
@@ -3283,7 +3273,7 @@ export default {
     460: [10, 73],
     470: [8, 9, 73],
     480: [7, 8, 73],
-    490: [7],
+    490: [7]
   },
   640: {
     0: [56, 57, 66, 67],
@@ -3335,7 +3325,7 @@ export default {
     460: [10, 11, 72],
     470: [9, 10],
     480: [8, 9],
-    490: [7, 8],
+    490: [7, 8]
   },
   650: {
     0: [56, 57, 66],
@@ -3388,7 +3378,7 @@ export default {
     470: [9, 10, 72],
     480: [8, 9, 72],
     490: [7, 8, 72],
-    500: [7],
+    500: [7]
   },
   660: {
     0: [56, 57, 65, 66],
@@ -3440,7 +3430,7 @@ export default {
     460: [10, 11],
     470: [9, 10, 72],
     480: [8, 9],
-    490: [8, 72],
+    490: [8, 72]
   },
   670: {
     0: [56, 57, 58, 64, 65],
@@ -3492,7 +3482,7 @@ export default {
     460: [11, 71],
     470: [9, 10, 71],
     480: [8, 9],
-    490: [8],
+    490: [8]
   },
   680: {
     0: [56, 57, 58, 62, 63, 64],
@@ -3544,7 +3534,7 @@ export default {
     460: [11, 12, 71],
     470: [10, 11, 71],
     480: [9, 10, 71],
-    490: [8, 9, 71],
+    490: [8, 9, 71]
   },
   690: {
     0: [56, 57, 58, 59, 60, 61, 62, 63],
@@ -3596,7 +3586,7 @@ export default {
     460: [11, 12],
     470: [10, 11],
     480: [9, 10],
-    490: [8],
+    490: [8]
   },
   700: {
     0: [57, 58, 59, 60, 61, 62],
@@ -3648,7 +3638,7 @@ export default {
     460: [11, 12, 70],
     470: [10, 11, 70],
     480: [9, 10, 70],
-    490: [9],
+    490: [9]
   },
   710: {
     0: [57, 58, 59, 60, 61],
@@ -3700,7 +3690,7 @@ export default {
     460: [11, 12, 70],
     470: [11, 70],
     480: [10, 70],
-    490: [9],
+    490: [9]
   },
   720: {
     0: [58, 59, 60],
@@ -3752,7 +3742,7 @@ export default {
     460: [12, 69],
     470: [11],
     480: [9, 10],
-    490: [9],
+    490: [9]
   },
   730: {
     10: [56, 57, 58, 59, 60],
@@ -3803,7 +3793,7 @@ export default {
     460: [12, 13, 69],
     470: [11, 12, 69],
     480: [10, 11, 69],
-    490: [10, 69],
+    490: [10, 69]
   },
   740: {
     10: [58],
@@ -3854,7 +3844,7 @@ export default {
     460: [12, 13],
     470: [11, 12, 69],
     480: [10, 11],
-    490: [10, 69],
+    490: [10, 69]
   },
   750: {
     20: [56, 57, 58, 59],
@@ -3904,7 +3894,7 @@ export default {
     460: [12, 13, 68],
     470: [11, 12, 68],
     480: [10, 11, 68],
-    490: [10],
+    490: [10]
   },
   760: {
     30: [55, 56, 57, 58, 59],
@@ -3953,7 +3943,7 @@ export default {
     460: [13, 68],
     470: [12, 68],
     480: [11, 68],
-    490: [10, 68],
+    490: [10, 68]
   },
   770: {
     30: [56, 57],
@@ -4002,7 +3992,7 @@ export default {
     460: [13, 14],
     470: [12],
     480: [11],
-    490: [11],
+    490: [11]
   },
   780: {
     40: [54, 55, 56, 57],
@@ -4050,7 +4040,7 @@ export default {
     460: [13, 14, 67],
     470: [12, 13, 67],
     480: [11, 12, 67],
-    490: [11],
+    490: [11]
   },
   790: {
     50: [53, 54, 55, 56, 57, 58],
@@ -4097,7 +4087,7 @@ export default {
     460: [14],
     470: [13],
     480: [11, 12, 67],
-    490: [11],
+    490: [11]
   },
   800: {
     50: [55, 56],
@@ -4144,7 +4134,7 @@ export default {
     460: [13, 14, 66],
     470: [13, 66],
     480: [12, 66],
-    490: [12],
+    490: [12]
   },
   810: {
     60: [53, 54, 55, 56],
@@ -4190,7 +4180,7 @@ export default {
     460: [14, 66],
     470: [13, 14, 66],
     480: [12, 13, 66],
-    490: [12],
+    490: [12]
   },
   820: {
     70: [52, 53, 54, 55, 56],
@@ -4235,7 +4225,7 @@ export default {
     460: [14, 15, 65],
     470: [13, 14],
     480: [12, 13],
-    490: [12],
+    490: [12]
   },
   830: {
     80: [51, 52, 53, 54, 55, 56],
@@ -4280,7 +4270,7 @@ export default {
     470: [13, 14, 65],
     480: [13, 65],
     490: [12, 65],
-    500: [12],
+    500: [12]
   },
   840: {
     80: [53, 54],
@@ -4324,7 +4314,7 @@ export default {
     460: [15],
     470: [14, 65],
     480: [13, 14],
-    490: [12, 13, 65],
+    490: [12, 13, 65]
   },
   850: {
     90: [51, 52, 53, 54],
@@ -4367,7 +4357,7 @@ export default {
     460: [15, 16, 64],
     470: [14, 15, 64],
     480: [13, 14, 64],
-    490: [13, 64],
+    490: [13, 64]
   },
   860: {
     100: [50, 51, 52, 53, 54],
@@ -4410,7 +4400,7 @@ export default {
     470: [14, 15, 64],
     480: [14, 64],
     490: [13, 64],
-    500: [13],
+    500: [13]
   },
   870: {
     110: [49, 50, 51, 52, 53, 54],
@@ -4451,7 +4441,7 @@ export default {
     460: [16, 63],
     470: [15, 63],
     480: [14],
-    490: [13, 14],
+    490: [13, 14]
   },
   880: {
     110: [51, 52],
@@ -4492,7 +4482,7 @@ export default {
     460: [16, 63],
     470: [15, 16, 63],
     480: [14, 15, 63],
-    490: [14, 63],
+    490: [14, 63]
   },
   890: {
     120: [49, 50, 51, 52],
@@ -4532,7 +4522,7 @@ export default {
     460: [16, 17, 62],
     470: [15, 16, 62],
     480: [14, 15],
-    490: [14],
+    490: [14]
   },
   900: {
     130: [49, 50, 51, 52],
@@ -4571,7 +4561,7 @@ export default {
     460: [16, 17, 62],
     470: [16, 62],
     480: [15, 62],
-    490: [14, 15, 62],
+    490: [14, 15, 62]
   },
   910: {
     140: [48, 49, 50, 51, 52],
@@ -4609,7 +4599,7 @@ export default {
     460: [17],
     470: [16, 17],
     480: [15, 16, 62],
-    490: [15, 62],
+    490: [15, 62]
   },
   920: {
     150: [47, 48, 49, 50, 51, 52],
@@ -4646,7 +4636,7 @@ export default {
     460: [17, 18, 61],
     470: [16, 17, 61],
     480: [15, 16, 61],
-    490: [15, 61],
+    490: [15, 61]
   },
   930: {
     160: [46, 47, 48, 49, 50, 51],
@@ -4682,7 +4672,7 @@ export default {
     460: [17, 18],
     470: [17, 61],
     480: [16, 61],
-    490: [16, 61],
+    490: [16, 61]
   },
   940: {
     160: [48, 49],
@@ -4718,7 +4708,7 @@ export default {
     460: [18, 60],
     470: [17, 60],
     480: [16, 17, 60],
-    490: [16],
+    490: [16]
   },
   950: {
     170: [47, 48, 49],
@@ -4753,7 +4743,7 @@ export default {
     460: [18],
     470: [17, 18, 60],
     480: [16, 17, 60],
-    490: [16, 60],
+    490: [16, 60]
   },
   960: {
     180: [46, 47, 48, 49],
@@ -4786,7 +4776,7 @@ export default {
     450: [19, 20, 59],
     460: [18, 19, 59],
     470: [17, 18, 59],
-    480: [17, 59],
+    480: [17, 59]
   },
   970: {
     190: [45, 46, 47, 48, 49],
@@ -4819,7 +4809,7 @@ export default {
     460: [19, 59],
     470: [18, 19, 59],
     480: [17, 59],
-    490: [17, 59],
+    490: [17, 59]
   },
   980: {
     200: [45, 46, 47, 48, 49],
@@ -4850,7 +4840,7 @@ export default {
     450: [20, 58],
     460: [19, 20, 58],
     470: [18, 19, 58],
-    480: [18, 58],
+    480: [18, 58]
   },
   990: {
     210: [44, 45, 46, 47, 48],
@@ -4881,7 +4871,7 @@ export default {
     460: [19, 20, 58],
     470: [19, 58],
     480: [18, 58],
-    490: [18, 58],
+    490: [18, 58]
   },
   1000: {
     220: [44, 45, 46, 47, 48],
@@ -4911,7 +4901,7 @@ export default {
     460: [20, 57],
     470: [19, 20, 57],
     480: [18, 19, 57],
-    490: [18],
+    490: [18]
   },
   1010: {
     230: [44, 45, 46, 47, 48],
@@ -4941,7 +4931,7 @@ export default {
     470: [19, 20, 57],
     480: [19, 57],
     490: [18, 57],
-    500: [18],
+    500: [18]
   },
   1020: {
     240: [43, 44, 45, 46, 47],
@@ -4969,7 +4959,7 @@ export default {
     460: [21, 56],
     470: [20, 56],
     480: [19, 20, 56],
-    490: [19, 56],
+    490: [19, 56]
   },
   1030: {
     250: [42, 43, 44, 45, 46, 47],
@@ -4997,7 +4987,7 @@ export default {
     470: [20, 21, 56],
     480: [20, 56],
     490: [19, 56],
-    500: [19],
+    500: [19]
   },
   1040: {
     260: [42, 43, 44, 45, 46],
@@ -5023,7 +5013,7 @@ export default {
     460: [21, 22, 55],
     470: [21, 55],
     480: [20, 21, 55],
-    490: [19, 20, 55],
+    490: [19, 20, 55]
   },
   1050: {
     270: [42, 43, 44, 45, 46],
@@ -5048,7 +5038,7 @@ export default {
     460: [22, 54],
     470: [21, 22, 54, 55],
     480: [21, 55],
-    490: [20, 55],
+    490: [20, 55]
   },
   1060: {
     280: [41, 42, 43, 44, 45],
@@ -5072,7 +5062,7 @@ export default {
     460: [22, 23, 54],
     470: [22, 54],
     480: [21, 22, 54],
-    490: [20, 21, 54],
+    490: [20, 21, 54]
   },
   1070: {
     290: [41, 42, 43, 44, 45],
@@ -5095,7 +5085,7 @@ export default {
     460: [23, 24, 53],
     470: [22, 23, 53],
     480: [21, 22, 53],
-    490: [21, 54],
+    490: [21, 54]
   },
   1080: {
     300: [41, 42, 43],
@@ -5118,7 +5108,7 @@ export default {
     470: [23, 52, 53],
     480: [22, 23, 53],
     490: [21, 22, 53],
-    500: [53],
+    500: [53]
   },
   1090: {
     310: [41, 42, 43],
@@ -5139,7 +5129,7 @@ export default {
     460: [24, 25, 51, 52],
     470: [23, 24, 52],
     480: [22, 23, 52],
-    490: [22, 53],
+    490: [22, 53]
   },
   1100: {
     320: [41, 42, 43],
@@ -5159,7 +5149,7 @@ export default {
     460: [24, 25, 51],
     470: [24, 51],
     480: [23, 24, 51, 52],
-    490: [22, 23],
+    490: [22, 23]
   },
   1110: {
     330: [42],
@@ -5178,7 +5168,7 @@ export default {
     460: [25, 26, 50],
     470: [24, 25, 51],
     480: [23, 24, 51],
-    490: [23, 51],
+    490: [23, 51]
   },
   1120: {
     350: [38, 39, 40, 41, 42, 43],
@@ -5195,7 +5185,7 @@ export default {
     460: [26, 27, 49, 50],
     470: [25, 26, 50],
     480: [24, 25, 50],
-    490: [23, 24, 50],
+    490: [23, 24, 50]
   },
   1130: {
     360: [38, 39, 40, 41, 42, 43],
@@ -5211,7 +5201,7 @@ export default {
     460: [26, 27, 48, 49],
     470: [25, 26, 49],
     480: [24, 25, 49, 50],
-    490: [24, 50],
+    490: [24, 50]
   },
   1140: {
     370: [38, 39, 40, 41, 42],
@@ -5227,7 +5217,7 @@ export default {
     470: [26, 27, 48, 49],
     480: [25, 26, 48, 49],
     490: [25, 49],
-    500: [49],
+    500: [49]
   },
   1150: {
     380: [38, 39, 40, 41],
@@ -5241,7 +5231,7 @@ export default {
     460: [28, 29, 46, 47],
     470: [27, 28, 47, 48],
     480: [26, 27, 47, 48],
-    490: [25, 26, 48, 49],
+    490: [25, 26, 48, 49]
   },
   1160: {
     390: [38, 39],
@@ -5254,7 +5244,7 @@ export default {
     460: [28, 29, 30, 45, 46, 47],
     470: [27, 28, 29, 46, 47],
     480: [26, 27, 28, 46, 47],
-    490: [26, 47],
+    490: [26, 47]
   },
   1170: {
     410: [36, 37, 38, 39, 40, 41],
@@ -5265,7 +5255,7 @@ export default {
     460: [29, 30, 31, 44, 45, 46],
     470: [28, 29, 30, 45, 46],
     480: [27, 28, 29, 46, 47],
-    490: [27, 28, 46, 47],
+    490: [27, 28, 46, 47]
   },
   1180: {
     420: [36, 37, 38, 39, 40, 41],
@@ -5276,7 +5266,7 @@ export default {
     470: [29, 30, 31, 44, 45],
     480: [28, 29, 30, 44, 45],
     490: [27, 28, 29, 45, 46],
-    500: [46],
+    500: [46]
   },
   1190: {
     430: [37, 38, 40],
@@ -5286,6 +5276,6 @@ export default {
     470: [30, 31, 32, 33, 42, 43, 44],
     480: [29, 30, 31, 43, 44, 45],
     490: [28, 29, 30, 44],
-    500: [29],
-  },
+    500: [29]
+  }
 };
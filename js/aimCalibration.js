@@ -0,0 +1,154 @@
+// Aim calibration - learns where shots really land and corrects future aim
+import { CONFIG } from "./config.js";
+import { getTime } from "./environment.js";
+import SaveManager from "./saveManager.js";
+
+function clamp(value, limit) {
+  return Math.max(-limit, Math.min(limit, value));
+}
+
+class AimCalibration {
+  constructor(saveManager = new SaveManager()) {
+    this.saveManager = saveManager;
+    this.saveManager.register("aim", this);
+
+    // World id -> grid cell ("column,row") -> { dx, dy, samples }: how far
+    // shots at targets in that cell land from them, in pixels
+    this.corrections = {};
+    this.lastSaveTime = getTime();
+
+    this.loadProgress();
+  }
+
+  getCellKey(x, y) {
+    const size = CONFIG.AIM_CALIBRATION.CELL_SIZE;
+    return `${Math.floor(x / size)},${Math.floor(y / size)}`;
+  }
+
+  // Offset to take off a target before aiming at it. A cell is only trusted
+  // once it has seen MIN_SAMPLES shots.
+  getCorrection(worldId, x, y) {
+    const settings = CONFIG.AIM_CALIBRATION;
+    const cells = this.corrections[worldId];
+    const cell = cells && cells[this.getCellKey(x, y)];
+    if (!settings.ENABLED || !cell || cell.samples < settings.MIN_SAMPLES) {
+      return { dx: 0, dy: 0 };
+    }
+    return { dx: cell.dx, dy: cell.dy };
+  }
+
+  // Learn from where a cannonball first touched the castle. aim is the
+  // target it was fired at plus the correction that was applied (dx, dy).
+  // Only the miss across the flight path counts: stopping short on a block
+  // in front of the target is not an aiming error. Returns whether the
+  // sample was used.
+  recordImpact(worldId, aim, contact, velocity) {
+    const settings = CONFIG.AIM_CALIBRATION;
+    const errorX = contact.x - aim.x;
+    const errorY = contact.y - aim.y;
+    const speed = Math.hypot(velocity.x, velocity.y);
+    if (
+      !settings.ENABLED ||
+      speed === 0 ||
+      Math.hypot(errorX, errorY) > settings.MAX_ERROR
+    ) {
+      return false;
+    }
+
+    const ux = velocity.x / speed;
+    const uy = velocity.y / speed;
+    const along = errorX * ux + errorY * uy;
+
+    // The shot already had the old correction taken off, so the bias is
+    // what it still missed by plus that correction
+    const biasX = errorX - along * ux + aim.dx;
+    const biasY = errorY - along * uy + aim.dy;
+
+    if (!this.corrections[worldId]) {
+      this.corrections[worldId] = {};
+    }
+    const cells = this.corrections[worldId];
+    const key = this.getCellKey(aim.x, aim.y);
+    const cell = cells[key] || { dx: 0, dy: 0, samples: 0 };
+
+    // A plain average at first, then a moving average that follows changes
+    const rate = Math.max(settings.LEARNING_RATE, 1 / (cell.samples + 1));
+    cells[key] = {
+      dx: clamp(cell.dx + (biasX - cell.dx) * rate, settings.MAX_CORRECTION),
+      dy: clamp(cell.dy + (biasY - cell.dy) * rate, settings.MAX_CORRECTION),
+      samples: cell.samples + 1,
+    };
+
+    // Every shot learns, so saves are spaced out
+    const now = getTime();
+    if (now - this.lastSaveTime >= settings.SAVE_INTERVAL) {
+      this.lastSaveTime = now;
+      this.saveManager.save();
+    }
+    return true;
+  }
+
+  getSampleCount(worldId) {
+    const cells = this.corrections[worldId] || {};
+    return Object.values(cells).reduce((sum, cell) => sum + cell.samples, 0);
+  }
+
+  // Debug overlay: one arrow per cell showing the learned offset, drawn
+  // ARROW_SCALE times longer than it is. Cells still learning are grey.
+  render(ctx, worldId) {
+    const settings = CONFIG.AIM_CALIBRATION;
+    const cells = this.corrections[worldId];
+    if (!cells) return;
+
+    const size = settings.CELL_SIZE;
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.font = "10px Arial";
+    ctx.textAlign = "center";
+
+    for (const [key, cell] of Object.entries(cells)) {
+      const [column, row] = key.split(",").map(Number);
+      const centerX = (column + 0.5) * size;
+      const centerY = (row + 0.5) * size;
+      const endX = centerX + cell.dx * settings.ARROW_SCALE;
+      const endY = centerY + cell.dy * settings.ARROW_SCALE;
+      const color =
+        cell.samples >= settings.MIN_SAMPLES
+          ? "rgba(255, 0, 255, 0.8)"
+          : "rgba(200, 200, 200, 0.6)";
+
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.strokeRect(column * size, row * size, size, size);
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, 2, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.beginPath();
+      ctx.moveTo(centerX, centerY);
+      ctx.lineTo(endX, endY);
+      ctx.stroke();
+      ctx.fillText(cell.samples, centerX, row * size + 12);
+    }
+
+    ctx.restore();
+  }
+
+  resetProgress() {
+    this.corrections = {};
+    this.saveManager.save();
+  }
+
+  // Aim section of the save document
+  getSaveData() {
+    return { corrections: this.corrections };
+  }
+
+  loadProgress() {
+    const data = this.saveManager.getSection("aim");
+    if (data) {
+      this.corrections = data.corrections;
+    }
+  }
+}
+
+export default AimCalibration;
@@ -0,0 +1,156 @@
+// Auto-buyer - buys regular upgrades by the player's rules once unlocked
+import { CONFIG } from "./config.js";
+import { formatNumber } from "./utils.js";
+import { getTime } from "./environment.js";
+import SaveManager from "./saveManager.js";
+import BigNumber from "./bigNumber.js";
+import { getUpgradeIds, getUpgradeType } from "./upgradeRegistry.js";
+
+class AutoBuyer {
+  constructor(
+    upgradeManager,
+    prestigeManager = null,
+    saveManager = new SaveManager()
+  ) {
+    this.upgradeManager = upgradeManager;
+    this.prestigeManager = prestigeManager;
+    this.saveManager = saveManager;
+    this.saveManager.register("automation", this);
+
+    this.resetRules();
+
+    // Automated actions this session, oldest first: { time, message }
+    this.log = [];
+    this.lastCheckTime = 0;
+
+    this.loadProgress();
+  }
+
+  resetRules() {
+    this.enabled = false;
+    this.priority = getUpgradeIds(); // Upgrade ids, bought first to last
+    this.onlyAtMaxStreak = false; // Wait for the full streak multiplier
+    this.reservePercent = 0; // Share of the money never spent
+    this.autoAdvance = false; // Move on as soon as a world is complete
+  }
+
+  // Unlocked by the Auto-Buyer prestige upgrade
+  isUnlocked() {
+    return (
+      this.prestigeManager !== null &&
+      this.prestigeManager.prestigeUpgrades.autoBuyer > 0
+    );
+  }
+
+  isActive() {
+    return this.isUnlocked() && this.enabled;
+  }
+
+  setRule(rule, value) {
+    this[rule] = value;
+    this.saveManager.save();
+  }
+
+  // Move an upgrade up (-1) or down (+1) the priority list
+  movePriority(upgradeType, direction) {
+    const index = this.priority.indexOf(upgradeType);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= this.priority.length) return;
+
+    [this.priority[index], this.priority[target]] = [
+      this.priority[target],
+      this.priority[index],
+    ];
+    this.saveManager.save();
+  }
+
+  addLog(message) {
+    this.log.push({ time: getTime(), message });
+    if (this.log.length > CONFIG.AUTOMATION.LOG_SIZE) {
+      this.log.shift();
+    }
+  }
+
+  // Buy upgrades in priority order: each is bought up to its cap before the
+  // next, and the buyer saves up for the first one it cannot afford rather
+  // than spending on cheaper ones further down. Returns what was bought as
+  // [{ type, levels }].
+  update() {
+    const now = getTime();
+    if (
+      !this.isActive() ||
+      now - this.lastCheckTime < CONFIG.AUTOMATION.CHECK_INTERVAL
+    ) {
+      return [];
+    }
+    this.lastCheckTime = now;
+
+    const manager = this.upgradeManager;
+    if (
+      this.onlyAtMaxStreak &&
+      manager.getMoneyStreakMultiplier() < CONFIG.MONEY.MAX_STREAK_MULTIPLIER
+    ) {
+      return [];
+    }
+
+    const reserve = manager.money.mul(this.reservePercent / 100);
+    const purchases = [];
+    for (const type of this.priority) {
+      const level = manager.getUpgradeLevel(type);
+      const levelCap = getUpgradeType(type).cap || Infinity;
+
+      // As many levels as the money above the reserve covers
+      let levels = 0;
+      let cost = BigNumber.ZERO;
+      while (level + levels < levelCap) {
+        const nextCost = manager.getUpgradeCost(type, level + levels);
+        if (manager.money.sub(cost).sub(nextCost).lt(reserve)) break;
+        cost = cost.add(nextCost);
+        levels++;
+      }
+
+      if (levels > 0 && manager.purchaseUpgrade(type, levels)) {
+        const name = manager.getUpgradeName(type);
+        purchases.push({ type, levels });
+        this.addLog(`Bought ${name} x${levels} for $${formatNumber(cost)}`);
+      }
+      if (!manager.isUpgradeMaxed(type)) break;
+    }
+
+    return purchases;
+  }
+
+  shouldAutoAdvance() {
+    return this.isActive() && this.autoAdvance;
+  }
+
+  resetProgress() {
+    this.resetRules();
+    this.log = [];
+    this.saveManager.save();
+  }
+
+  // Automation section of the save document
+  getSaveData() {
+    return {
+      enabled: this.enabled,
+      priority: [...this.priority],
+      onlyAtMaxStreak: this.onlyAtMaxStreak,
+      reservePercent: this.reservePercent,
+      autoAdvance: this.autoAdvance,
+    };
+  }
+
+  loadProgress() {
+    const data = this.saveManager.getSection("automation");
+    if (data) {
+      this.enabled = data.enabled;
+      this.priority = [...data.priority];
+      this.onlyAtMaxStreak = data.onlyAtMaxStreak;
+      this.reservePercent = data.reservePercent;
+      this.autoAdvance = data.autoAdvance;
+    }
+  }
+}
+
+export default AutoBuyer;
@@ -0,0 +1,149 @@
+// Big numbers - whole amounts of money and gems of any size
+//
+// Values are BigInt whole units, so long prestige runs never lose precision
+// or overflow. Instances are immutable: every operation returns a new one.
+// Anything that takes a value also accepts a plain number or a digit string.
+
+// Fractional factors (streak and prestige bonuses, cost growth) are applied
+// with this many decimal places, rounding the result down like the
+// Math.floor calls they replace
+const FACTOR_SCALE = 1e9;
+const FACTOR_SCALE_BIG = 1000000000n;
+
+// Factors this large are whole numbers for all practical purposes
+const MAX_SCALED_FACTOR = Number.MAX_SAFE_INTEGER / FACTOR_SCALE;
+
+// Integer division that rounds towards minus infinity, like Math.floor
+function floorDivide(dividend, divisor) {
+  const quotient = dividend / divisor;
+  const inexact = dividend % divisor !== 0n;
+  return inexact && (dividend < 0n) !== (divisor < 0n)
+    ? quotient - 1n
+    : quotient;
+}
+
+class BigNumber {
+  constructor(value = 0n) {
+    this.value = value; // BigInt
+  }
+
+  // Accepts a BigNumber, BigInt, number (rounded down) or digit string
+  static from(value) {
+    if (value instanceof BigNumber) return value;
+    if (typeof value === "bigint") return new BigNumber(value);
+    if (typeof value === "string" && /^-?\d+$/.test(value.trim())) {
+      return new BigNumber(BigInt(value.trim()));
+    }
+
+    const number = typeof value === "string" ? Number(value) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+      throw new RangeError(`Not a finite number: ${value}`);
+    }
+    return new BigNumber(BigInt(Math.floor(number)));
+  }
+
+  // Whether from() would accept the value
+  static isValid(value) {
+    try {
+      BigNumber.from(value);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  add(other) {
+    return new BigNumber(this.value + BigNumber.from(other).value);
+  }
+
+  sub(other) {
+    return new BigNumber(this.value - BigNumber.from(other).value);
+  }
+
+  // Multiply by a BigNumber or any number, rounding down
+  mul(factor) {
+    if (factor instanceof BigNumber || typeof factor === "bigint") {
+      return new BigNumber(this.value * BigNumber.from(factor).value);
+    }
+    if (!Number.isFinite(factor)) {
+      throw new RangeError(`Not a finite factor: ${factor}`);
+    }
+    if (Number.isInteger(factor) || Math.abs(factor) >= MAX_SCALED_FACTOR) {
+      return new BigNumber(this.value * BigInt(Math.round(factor)));
+    }
+
+    const scaled = BigInt(Math.round(factor * FACTOR_SCALE));
+    return new BigNumber(floorDivide(this.value * scaled, FACTOR_SCALE_BIG));
+  }
+
+  // Whole-number division, rounding down
+  div(divisor) {
+    const other = BigNumber.from(divisor).value;
+    if (other === 0n) {
+      throw new RangeError("Division by zero");
+    }
+    return new BigNumber(floorDivide(this.value, other));
+  }
+
+  // -1, 0 or 1
+  compare(other) {
+    const otherValue = BigNumber.from(other).value;
+    if (this.value < otherValue) return -1;
+    return this.value > otherValue ? 1 : 0;
+  }
+
+  eq(other) {
+    return this.compare(other) === 0;
+  }
+
+  gt(other) {
+    return this.compare(other) > 0;
+  }
+
+  gte(other) {
+    return this.compare(other) >= 0;
+  }
+
+  lt(other) {
+    return this.compare(other) < 0;
+  }
+
+  lte(other) {
+    return this.compare(other) <= 0;
+  }
+
+  isZero() {
+    return this.value === 0n;
+  }
+
+  isNegative() {
+    return this.value < 0n;
+  }
+
+  // Nearest plain number (Infinity beyond about 1e308)
+  toNumber() {
+    return Number(this.value);
+  }
+
+  // Leading digits as 1 <= mantissa < 10 and the power of ten, for
+  // notations that go beyond what a plain number can hold
+  toScientific() {
+    const digits = (this.value < 0n ? -this.value : this.value).toString();
+    const sign = this.value < 0n ? -1 : 1;
+    const mantissa = Number(`${digits[0]}.${digits.slice(1, 17) || "0"}`);
+    return { mantissa: sign * mantissa, exponent: digits.length - 1 };
+  }
+
+  toString() {
+    return this.value.toString();
+  }
+
+  // Saved as a digit string
+  toJSON() {
+    return this.toString();
+  }
+}
+
+BigNumber.ZERO = new BigNumber(0n);
+
+export default BigNumber;
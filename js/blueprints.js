@@ -0,0 +1,163 @@
+// Castle blueprints - hand-authored castle layouts in a JSON grid format
+import { CONFIG, MATERIALS } from "./config.js";
+import BLUEPRINT_LIBRARY from "../data/castles/index.js";
+
+// Cell options a blueprint legend may use
+const SHAPES = ["square", "circle"];
+const SPECIALS = ["reinforced"]; // reinforced: double health
+
+// Characters that leave a grid cell empty
+const EMPTY_CELLS = [" ", "."];
+
+// Parse and validate a blueprint, given as JSON text or an already parsed
+// object. Rows run top to bottom and each character is looked up in the
+// legend. Throws an Error listing every problem found.
+export function parseBlueprint(source) {
+  let data = source;
+  if (typeof source === "string") {
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Blueprint is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!data || typeof data !== "object") {
+    throw new Error("Blueprint must be an object");
+  }
+
+  const problems = [];
+  const id = typeof data.id === "string" && data.id ? data.id : null;
+  if (!id) problems.push("missing id");
+
+  const legend =
+    data.legend && typeof data.legend === "object" ? data.legend : {};
+  const rows = Array.isArray(data.rows) ? data.rows : [];
+  if (rows.length === 0) problems.push("no rows");
+
+  for (const [symbol, cell] of Object.entries(legend)) {
+    const materials = Object.values(MATERIALS);
+    if (!materials.includes(cell.material)) {
+      problems.push(`"${symbol}": unknown material ${cell.material}`);
+    }
+    if (cell.shape !== undefined && !SHAPES.includes(cell.shape)) {
+      problems.push(`"${symbol}": unknown shape ${cell.shape}`);
+    }
+    for (const special of cell.special || []) {
+      if (!SPECIALS.includes(special)) {
+        problems.push(`"${symbol}": unknown special ${special}`);
+      }
+    }
+  }
+
+  // Grid coordinates match generateStructure: y = 0 is the bottom row
+  const width = Math.max(0, ...rows.map((row) => String(row).length));
+  const height = rows.length;
+  const cells = [];
+  const occupied = new Set();
+
+  rows.forEach((row, rowIndex) => {
+    const y = height - 1 - rowIndex;
+    [...String(row)].forEach((symbol, x) => {
+      if (EMPTY_CELLS.includes(symbol)) return;
+      const cell = legend[symbol];
+      if (!cell) {
+        problems.push(`row ${rowIndex + 1}: unknown cell "${symbol}"`);
+        return;
+      }
+      cells.push({
+        x,
+        y,
+        material: cell.material,
+        shape: cell.shape || "square",
+        hasFlag: Boolean(cell.flag),
+        special: [...(cell.special || [])],
+      });
+      occupied.add(`${x},${y}`);
+    });
+  });
+
+  // Every block needs one below it, or it falls as soon as the castle lands
+  for (const cell of cells) {
+    if (cell.y > 0 && !occupied.has(`${cell.x},${cell.y - 1}`)) {
+      problems.push(`cell at column ${cell.x + 1}, height ${cell.y} floats`);
+    }
+  }
+
+  if (cells.filter((cell) => cell.hasFlag).length > 1) {
+    problems.push("more than one flag");
+  }
+  if (width > CONFIG.CASTLE.BLUEPRINT_MAX_WIDTH) {
+    problems.push(`wider than ${CONFIG.CASTLE.BLUEPRINT_MAX_WIDTH} cells`);
+  }
+  if (height > CONFIG.CASTLE.BLUEPRINT_MAX_HEIGHT) {
+    problems.push(`taller than ${CONFIG.CASTLE.BLUEPRINT_MAX_HEIGHT} cells`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Blueprint ${id || "(no id)"}: ${problems.join("; ")}`);
+  }
+
+  return {
+    id,
+    name: data.name || id,
+    weight: data.weight ?? 1,
+    rewardMultiplier: data.rewardMultiplier ?? 1,
+    width,
+    height,
+    cells,
+  };
+}
+
+// Parsed library per world id, built on first use
+const parsedLibrary = {};
+
+// Valid blueprints for a world. Broken entries are reported and skipped so
+// one bad blueprint can't stop castles from spawning.
+export function getWorldBlueprints(worldId) {
+  if (!parsedLibrary[worldId]) {
+    parsedLibrary[worldId] = [];
+    for (const source of BLUEPRINT_LIBRARY[worldId] || []) {
+      try {
+        parsedLibrary[worldId].push(parseBlueprint(source));
+      } catch (error) {
+        console.warn(error.message);
+      }
+    }
+  }
+  return parsedLibrary[worldId];
+}
+
+export function getBlueprintById(blueprintId) {
+  for (const worldId of Object.keys(BLUEPRINT_LIBRARY)) {
+    const blueprint = getWorldBlueprints(worldId).find(
+      (b) => b.id === blueprintId
+    );
+    if (blueprint) return blueprint;
+  }
+  return null;
+}
+
+// Decide whether a castle in this world is built from a blueprint and which
+// one, weighted by each blueprint's weight. Worlds set blueprintChance to
+// override CONFIG.CASTLE.BLUEPRINT_CHANCE. Returns null for a procedural
+// castle.
+export function chooseBlueprint(world, rng) {
+  const blueprints = world ? getWorldBlueprints(world.id) : [];
+  const chance =
+    world && world.blueprintChance !== undefined
+      ? world.blueprintChance
+      : CONFIG.CASTLE.BLUEPRINT_CHANCE;
+  if (blueprints.length === 0 || rng.next() >= chance) {
+    return null;
+  }
+
+  const totalWeight = blueprints.reduce((sum, b) => sum + b.weight, 0);
+  let random = rng.next() * totalWeight;
+  for (const blueprint of blueprints) {
+    random -= blueprint.weight;
+    if (random < 0) {
+      return blueprint;
+    }
+  }
+  return blueprints[blueprints.length - 1];
+}
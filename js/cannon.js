@@ -1,16 +1,36 @@
 // Cannon class - handles firing logic and upgrades
 import { CONFIG } from './config.js';
-import { randomFloat, toDegrees, toRadians } from './utils.js';
+import {
+  SeededRandom,
+  gaussianRandom,
+  randomChoice,
+  randomFloat,
+  toDegrees,
+  toRadians,
+} from './utils.js';
 import { calculateLaunchAngles } from './trajectoryUtils.js';
+import { getTargetingStrategy, rankTargets } from './targeting.js';
+import { createUpgradeLevels, getUpgradeEffect } from './upgradeRegistry.js';
+import { getTime, getUrlParams, isDebugMode } from './environment.js';
 
 class Cannon {
-  constructor(x, y, physicsWorld, particleSystem, worldManager) {
+  constructor(
+    x,
+    y,
+    physicsWorld,
+    particleSystem,
+    worldManager,
+    random = null
+  ) {
     this.x = x;
     this.y = y;
     this.physics = physicsWorld;
     this.particles = particleSystem;
     this.worldManager = worldManager;
 
+    // Random source for targeting picks and prestige procs
+    this.random = random || new SeededRandom();
+
     // Firing properties
     this.fireRate = CONFIG.CANNON.BASE_FIRE_RATE;
     this.lastShot = 0;
@@ -22,14 +42,21 @@ class Cannon {
     this.ballWeight = CONFIG.CANNON.WEIGHT;
 
     // Upgrades
-    this.upgrades = {
-      fireRate: 0,
-      size: 0,
-    };
+    this.upgrades = createUpgradeLevels();
+
+    // Fire exactly at the requested angle (firing table builds)
+    this.perfectAim = false;
 
     // Prestige manager reference (will be set by main game)
     this.prestigeManager = null;
 
+    // Learned aim corrections (set by main game, none when building tables)
+    this.aimCalibration = null;
+
+    // Targeting strategy override (?targeting=id), otherwise the one chosen
+    // for the selected cannon in the prestige manager
+    this.targetingStrategyId = getUrlParams().get('targeting');
+
     // Visual properties
     this.angle = 0;
     this.recoil = 0;
@@ -44,11 +71,15 @@ class Cannon {
       calculatedTrajectories: [],
       validAngles: [],
       selectedAngle: null,
+      selectedTarget: null,
+      aim: null, // Target point and aim correction of the last shot
+      targetingStrategy: null,
+      targetReason: null,
       lastCalculation: 0,
     };
 
     // No targets timeout tracking
-    this.lastTargetsFoundTime = Date.now();
+    this.lastTargetsFoundTime = getTime();
     this.noTargetsTimeout = 5000; // 5 seconds
 
     console.log(
@@ -62,19 +93,26 @@ class Cannon {
     this.prestigeManager = prestigeManager;
   }
 
+  setAimCalibration(aimCalibration) {
+    this.aimCalibration = aimCalibration;
+  }
+
   async update(deltaTime, isPaused = false, targetBricks = []) {
     // Update recoil animation (slower)
     if (this.recoil > 0) {
       this.recoil = Math.max(0, this.recoil - deltaTime * 0.003); // Slower animation
     }
 
+    // Learn from shots that have reached the castle since the last frame
+    this.learnFromImpacts();
+
     // Don't fire if paused
     if (isPaused) {
       return null;
     }
 
     // Check if we can fire
-    const now = Date.now();
+    const now = getTime();
     if (now - this.lastShot >= this.getFireRate()) {
       const fireResult = await this.fire(targetBricks, false);
       this.lastShot = now;
@@ -93,11 +131,11 @@ class Cannon {
     // If we have brick targets, calculate smart targeting
     if (targetBricks.length > 0) {
       // Update the time we last had targets
-      this.lastTargetsFoundTime = Date.now();
+      this.lastTargetsFoundTime = getTime();
       targetAngle = await this.calculateSmartAngle(targetBricks);
     } else {
       // Check if we should auto-destroy the castle due to no targets timeout
-      const timeSinceLastTargets = Date.now() - this.lastTargetsFoundTime;
+      const timeSinceLastTargets = getTime() - this.lastTargetsFoundTime;
       if (timeSinceLastTargets >= this.noTargetsTimeout) {
         console.log(
           `Auto-destroying castle after ${(timeSinceLastTargets / 1000).toFixed(
@@ -111,7 +149,7 @@ class Cannon {
       // Fallback to random angle if no targets but timeout not reached
       targetAngle = -45 * (Math.PI / 180); // -45 degrees
 
-      if (window.location.search.includes('debug')) {
+      if (isDebugMode()) {
         console.log(
           `No targets found, firing at fallback angle: ${(
             (targetAngle * 180) /
@@ -129,25 +167,33 @@ class Cannon {
     }
 
     // Fire main cannonball
-    await this.fireCannonball(targetAngle, 'normal');
+    await this.fireCannonball(
+      targetAngle,
+      'normal',
+      targetBricks.length > 0 && !forceFire ? this.debugInfo.aim : null
+    );
 
     // Handle prestige upgrades
     if (this.prestigeManager) {
       // Double Shot upgrade
       const doubleShotLevel = this.prestigeManager.prestigeUpgrades.doubleShot;
       const doubleShotChance = doubleShotLevel * 0.1; // 10% per level
-      if (Math.random() < doubleShotChance && targetBricks.length > 0) {
-        // Fire a second cannonball at a different valid angle
-        const secondAngle = await this.calculateSmartAngle(targetBricks);
+      if (this.random.next() < doubleShotChance && targetBricks.length > 0) {
+        // Fire a second cannonball at the next best target
+        const firstTarget = this.debugInfo.selectedTarget;
+        const secondAngle = await this.calculateSmartAngle(
+          targetBricks,
+          firstTarget
+        );
         if (secondAngle && secondAngle !== targetAngle) {
-          await this.fireCannonball(secondAngle, 'double');
+          await this.fireCannonball(secondAngle, 'double', this.debugInfo.aim);
         }
       }
 
       // Blast Shot upgrade
       const blastShotLevel = this.prestigeManager.prestigeUpgrades.blastShot;
       const blastShotChance = blastShotLevel * 0.1; // 10% per level
-      if (Math.random() < blastShotChance) {
+      if (this.random.next() < blastShotChance) {
         // Fire horizontal blast shot at high speed
         const blastAngle = -1 * (Math.PI / 180); // -1 degree
         await this.fireCannonball(blastAngle, 'blast');
@@ -156,7 +202,7 @@ class Cannon {
       // Fireballs upgrade
       const fireballsLevel = this.prestigeManager.prestigeUpgrades.fireballs;
       const fireballsChance = fireballsLevel * 0.1; // 10% per level
-      if (Math.random() < fireballsChance) {
+      if (this.random.next() < fireballsChance) {
         // Convert the main shot to a fireball (we'll handle this in the physics)
         // The last cannonball created will be marked as a fireball
         const lastCannonball =
@@ -180,7 +226,14 @@ class Cannon {
     return null; // Normal firing, no special action needed
   }
 
-  async fireCannonball(angle, type = 'normal') {
+  // aim is the target the shot was aimed at, for calibration
+  async fireCannonball(angle, type = 'normal', aim = null) {
+    // Aim error, shrinking with the Accuracy upgrade
+    const spread = this.getAngleSpread();
+    if (spread > 0) {
+      angle += gaussianRandom(0, toRadians(spread), this.random);
+    }
+
     // Create cannonball at barrel end
     const barrelEndX = this.x + Math.cos(-angle) * this.barrelLength;
     const barrelEndY = this.y + Math.sin(-angle) * this.barrelLength;
@@ -211,6 +264,7 @@ class Cannon {
       this.physics.cannonballs[this.physics.cannonballs.length - 1];
     if (cannonballData) {
       cannonballData.shotType = type;
+      cannonballData.aim = aim;
     }
 
     return cannonball;
@@ -218,16 +272,25 @@ class Cannon {
 
   // Upgrade getters with bonuses applied
   getFireRate() {
-    const reduction = this.upgrades.fireRate * CONFIG.UPGRADES.EFFECTS.fireRate;
+    const reduction = getUpgradeEffect('fireRate', this.upgrades.fireRate);
     return Math.max(200, this.fireRate * (1 - reduction));
   }
 
   getBallSpeed() {
-    return this.worldManager.getCurrentSpeed(); // Use world-specific speed
+    // World-specific base speed, raised by the Speed upgrade
+    const bonus = getUpgradeEffect('speed', this.upgrades.speed);
+    return this.worldManager.getCurrentSpeed() * (1 + bonus);
+  }
+
+  // Standard deviation of the aim error in degrees
+  getAngleSpread() {
+    if (this.perfectAim) return 0;
+    const reduction = getUpgradeEffect('accuracy', this.upgrades.accuracy);
+    return CONFIG.CANNON.BASE_SPREAD * (1 - reduction);
   }
 
   getBallSize() {
-    const bonus = this.upgrades.size * CONFIG.UPGRADES.EFFECTS.size;
+    const bonus = getUpgradeEffect('size', this.upgrades.size);
     return this.ballSize * (1 + bonus);
   }
 
@@ -235,6 +298,55 @@ class Cannon {
     return this.ballWeight; // Fixed weight, no upgrades
   }
 
+  // Launch setup used by the trajectory solver when a table has no answer
+  getLaunchParameters() {
+    return {
+      originX: this.x,
+      originY: this.y,
+      barrelLength: this.barrelLength,
+      speed: this.getBallSpeed(),
+      ballRadius: this.getBallSize(),
+      // Aim for the wind blowing now; a gust can still change mid-flight
+      wind: this.physics.getWind(),
+      drag: this.physics.getAirDrag(),
+    };
+  }
+
+  // Where to aim for a target, with the learned correction taken off
+  getAimPoint(target) {
+    const correction = this.aimCalibration
+      ? this.aimCalibration.getCorrection(
+          this.worldManager.currentWorldId,
+          target.x,
+          target.y
+        )
+      : { dx: 0, dy: 0 };
+    return {
+      x: target.x - correction.dx,
+      y: target.y - correction.dy,
+      ...correction,
+    };
+  }
+
+  // Feed each aimed cannonball's first castle contact (recorded by
+  // Castle.handleCollisions) to the aim calibration, once
+  learnFromImpacts() {
+    if (!this.aimCalibration) return;
+
+    for (const cannonballData of this.physics.cannonballs) {
+      const { aim, firstContact } = cannonballData;
+      if (!aim || !firstContact || cannonballData.impactLearned) continue;
+
+      cannonballData.impactLearned = true;
+      this.aimCalibration.recordImpact(
+        this.worldManager.currentWorldId,
+        aim,
+        firstContact.position,
+        firstContact.velocity
+      );
+    }
+  }
+
   // Smart targeting methods
   async calculateLaunchAnglesToHitBrick({ endX, endY }) {
     // Use the new trajectory utility for more accurate calculations
@@ -242,9 +354,11 @@ class Cannon {
       targetX: endX,
       targetY: endY,
       world: this.worldManager.getCurrentWorld(),
+      sizeLevel: this.upgrades.size,
+      launch: this.getLaunchParameters(),
     });
 
-    if (window.location.search.includes('debug')) {
+    if (isDebugMode()) {
       if (angles) {
         console.log(
           `Found ${angles.length} valid angles for target (${endX.toFixed(
@@ -264,50 +378,104 @@ class Cannon {
     return angles;
   }
 
-  async calculateSmartAngle(targetBricks) {
-    const allValidAngles = [];
+  getTargetingStrategyId() {
+    if (this.targetingStrategyId) {
+      return this.targetingStrategyId;
+    }
+    return this.prestigeManager
+      ? this.prestigeManager.getTargetingStrategy()
+      : CONFIG.TARGETING.DEFAULT_STRATEGY;
+  }
+
+  async calculateSmartAngle(targetBricks, skipTarget = null) {
+    const strategy = getTargetingStrategy(this.getTargetingStrategyId());
+    const ranked = rankTargets(strategy.id, targetBricks, this.random);
 
-    // Use trajectory utility to calculate angles for each brick
-    for (const { x, y } of targetBricks) {
+    // Walk the targets best first until one is in reach
+    for (const choice of ranked) {
+      if (choice.target === skipTarget) continue;
+
+      const aimPoint = this.getAimPoint(choice.target);
       const angles = await calculateLaunchAngles({
-        targetX: x,
-        targetY: y,
+        targetX: aimPoint.x,
+        targetY: aimPoint.y,
         world: this.worldManager.getCurrentWorld(),
+        sizeLevel: this.upgrades.size,
+        launch: this.getLaunchParameters(),
       });
 
-      if (angles) {
-        // Filter angles within cannon constraints and add to valid angles
-        angles.forEach((angle) => {
-          if (
-            angle > CONFIG.CANNON.MIN_ANGLE &&
-            angle < CONFIG.CANNON.MAX_ANGLE
-          ) {
-            allValidAngles.push(angle);
-          }
-        });
+      // Keep angles within cannon constraints (best first)
+      const validAngles = (angles || []).filter(
+        (angle) =>
+          angle > CONFIG.CANNON.MIN_ANGLE && angle < CONFIG.CANNON.MAX_ANGLE
+      );
+      if (validAngles.length === 0) continue;
+
+      const targetAngle = strategy.randomAngle
+        ? randomChoice(validAngles, this.random)
+        : validAngles[0];
+
+      this.debugInfo.selectedTarget = choice.target;
+      this.debugInfo.aim = {
+        x: choice.target.x,
+        y: choice.target.y,
+        dx: aimPoint.dx,
+        dy: aimPoint.dy,
+      };
+      this.debugInfo.targetingStrategy = strategy.name;
+      this.debugInfo.targetReason = choice.reason;
+      this.debugInfo.validAngles = validAngles;
+      this.debugInfo.selectedAngle = targetAngle;
+      this.debugInfo.lastCalculation = getTime();
+
+      if (isDebugMode()) {
+        console.log(
+          `${strategy.name} target (${choice.target.x.toFixed(
+            1
+          )}, ${choice.target.y.toFixed(1)}): ${choice.reason}, angle ${(
+            (targetAngle * 180) /
+            Math.PI
+          ).toFixed(1)}°`
+        );
       }
+
+      return targetAngle;
     }
 
-    let targetAngle;
+    console.warn(
+      'No valid angles found for any target bricks, using fallback angle'
+    );
+    this.debugInfo.selectedTarget = null;
+    this.debugInfo.aim = null;
+    this.debugInfo.targetingStrategy = strategy.name;
+    this.debugInfo.targetReason = 'nothing in reach';
+    return 35 * (Math.PI / 180); // Fallback to 35 degrees
+  }
 
-    if (allValidAngles.length > 0) {
-      // Choose a random angle from the calculated angles
-      const randomIndex = Math.floor(Math.random() * allValidAngles.length);
-      targetAngle = allValidAngles[randomIndex];
+  // Debug overlay: ring the block the cannon last aimed at
+  renderTargetDebug(ctx) {
+    const target = this.debugInfo.selectedTarget;
+    if (!target) return;
 
-      if (window.location.search.includes('debug')) {
-        console.log(
-          `Final angle: ${((targetAngle * 180) / Math.PI).toFixed(1)}°`
-        );
-      }
-    } else {
-      console.warn(
-        'No valid angles found for any target bricks, using fallback angle'
-      );
-      targetAngle = 35 * (Math.PI / 180); // Fallback to 35 degrees
-    }
+    // Follow the block if it has moved since the shot was aimed
+    const position =
+      target.block && target.block.body
+        ? target.block.getTargetPoint()
+        : target;
 
-    return targetAngle;
+    const size = CONFIG.PHYSICS.BLOCK_SIZE;
+
+    ctx.save();
+    ctx.strokeStyle = '#FF00FF';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(position.x, position.y, size * 0.75, 0, Math.PI * 2);
+    ctx.moveTo(position.x - size, position.y);
+    ctx.lineTo(position.x + size, position.y);
+    ctx.moveTo(position.x, position.y - size);
+    ctx.lineTo(position.x, position.y + size);
+    ctx.stroke();
+    ctx.restore();
   }
 
   // Apply upgrade
@@ -1059,6 +1227,9 @@ class Cannon {
     return {
       fireRate: `${(60000 / this.getFireRate()).toFixed(1)}/min`,
       size: `${this.getBallSize().toFixed(1)}px`,
+      speed: this.getBallSpeed().toFixed(1),
+      spread: `±${this.getAngleSpread().toFixed(2)}°`,
+      targeting: getTargetingStrategy(this.getTargetingStrategyId()).name,
     };
   }
 }
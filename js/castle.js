@@ -1,11 +1,17 @@
 // Castle generation and management
 import { CONFIG, MATERIALS } from "./config.js";
 import {
+  SeededRandom,
   randomInt,
   randomFloat,
   randomChoice,
   sampleGaussian,
+  randomSeed,
 } from "./utils.js";
+import { getTime, getUrlParams, isDebugMode } from "./environment.js";
+import { chooseBlueprint, getBlueprintById } from "./blueprints.js";
+import { getMaterial, pickMaterial } from "./materials.js";
+import { repairStructure, testStability } from "./stability.js";
 
 class Block {
   constructor(x, y, material, physicsBody, shape = "square") {
@@ -52,6 +58,45 @@ class Block {
     }
   }
 
+  // The body's own shapes: a compound body's parts[0] is only its hull
+  getParts() {
+    const parts = this.body.parts;
+    return parts.length > 1 ? parts.slice(1) : parts;
+  }
+
+  // Outline every part of the block as one path
+  tracePath(ctx) {
+    ctx.beginPath();
+    for (const part of this.getParts()) {
+      const vertices = part.vertices;
+      if (vertices.length === 0) continue;
+      ctx.moveTo(vertices[0].x, vertices[0].y);
+      for (let i = 1; i < vertices.length; i++) {
+        ctx.lineTo(vertices[i].x, vertices[i].y);
+      }
+      ctx.closePath();
+    }
+  }
+
+  // Highest part on screen, where the flag stands
+  getTopPart() {
+    return this.getParts().reduce((top, part) =>
+      part.position.y < top.position.y ? part : top
+    );
+  }
+
+  // Point to aim at: the part closest to the centre of mass, since the
+  // centre of an arch or roof can be empty space
+  getTargetPoint() {
+    const center = this.body.position;
+    const distance = (part) =>
+      Math.hypot(part.position.x - center.x, part.position.y - center.y);
+    const part = this.getParts().reduce((nearest, candidate) =>
+      distance(candidate) < distance(nearest) ? candidate : nearest
+    );
+    return { x: part.position.x, y: part.position.y };
+  }
+
   render(ctx) {
     if (this.isDestroyed) return;
 
@@ -67,18 +112,8 @@ class Block {
       const protectionAlpha = 0.3 * (Math.sin(Date.now() * 0.003) * 0.3 + 0.7); // Pulsing effect
       ctx.fillStyle = `rgba(100, 150, 255, ${protectionAlpha})`;
 
-      const pos = this.body.position;
-      const vertices = this.body.vertices;
-
-      if (vertices.length > 0) {
-        ctx.beginPath();
-        ctx.moveTo(vertices[0].x, vertices[0].y);
-        for (let i = 1; i < vertices.length; i++) {
-          ctx.lineTo(vertices[i].x, vertices[i].y);
-        }
-        ctx.closePath();
-        ctx.fill();
-      }
+      this.tracePath(ctx);
+      ctx.fill();
 
       ctx.restore();
     }
@@ -88,18 +123,8 @@ class Block {
       ctx.globalCompositeOperation = "screen";
       ctx.fillStyle = `rgba(255, 255, 255, ${this.damageFlash * 0.5})`;
 
-      const pos = this.body.position;
-      const vertices = this.body.vertices;
-
-      if (vertices.length > 0) {
-        ctx.beginPath();
-        ctx.moveTo(vertices[0].x, vertices[0].y);
-        for (let i = 1; i < vertices.length; i++) {
-          ctx.lineTo(vertices[i].x, vertices[i].y);
-        }
-        ctx.closePath();
-        ctx.fill();
-      }
+      this.tracePath(ctx);
+      ctx.fill();
 
       ctx.restore();
     }
@@ -111,7 +136,7 @@ class Block {
   }
 
   renderFlag(ctx) {
-    const pos = this.body.position;
+    const pos = this.getTopPart().position;
     const blockSize = CONFIG.PHYSICS.BLOCK_SIZE;
 
     // Calculate flag position relative to the block's center
@@ -142,6 +167,97 @@ class Block {
   }
 }
 
+// Pieces the castle generator can place. Cells are [dx, dy] grid offsets
+// from the piece's bottom-left cell (dy grows upwards); supports are the
+// cells that must rest on something. Multi-cell pieces become one compound
+// physics body. minY keeps a piece off the lowest rows.
+const PIECES = {
+  square1x1: {
+    shape: "square",
+    width: 1,
+    height: 1,
+    cells: [[0, 0]],
+    supports: [[0, 0]],
+  },
+  circle1x1: {
+    shape: "circle",
+    width: 1,
+    height: 1,
+    cells: [[0, 0]],
+    supports: [[0, 0]],
+  },
+  beam2x1: {
+    shape: "beam",
+    width: 2,
+    height: 1,
+    cells: [
+      [0, 0],
+      [1, 0],
+    ],
+    supports: [
+      [0, 0],
+      [1, 0],
+    ],
+  },
+  pillar1x3: {
+    shape: "pillar",
+    width: 1,
+    height: 3,
+    cells: [
+      [0, 0],
+      [0, 1],
+      [0, 2],
+    ],
+    supports: [[0, 0]],
+  },
+  lintel3x1: {
+    shape: "lintel",
+    width: 3,
+    height: 1,
+    cells: [
+      [0, 0],
+      [1, 0],
+      [2, 0],
+    ],
+    supports: [
+      [0, 0],
+      [2, 0],
+    ],
+  },
+  arch3x2: {
+    shape: "arch",
+    width: 3,
+    height: 2,
+    cells: [
+      [0, 0],
+      [2, 0],
+      [0, 1],
+      [1, 1],
+      [2, 1],
+    ],
+    supports: [
+      [0, 0],
+      [2, 0],
+    ],
+  },
+  roofCap3x2: {
+    shape: "roof",
+    width: 3,
+    height: 2,
+    minY: 2,
+    cells: [
+      [0, 0],
+      [1, 0],
+      [2, 0],
+      [1, 1],
+    ],
+    supports: [
+      [0, 0],
+      [2, 0],
+    ],
+  },
+};
+
 class Castle {
   constructor(
     x,
@@ -149,7 +265,11 @@ class Castle {
     physicsWorld,
     particleSystem,
     prestigeManager = null,
-    upgradeManager = null
+    upgradeManager = null,
+    seed = randomSeed(),
+    world = null,
+    isBoss = false,
+    { deferred = false } = {}
   ) {
     this.x = x;
     this.y = y;
@@ -157,7 +277,17 @@ class Castle {
     this.particles = particleSystem;
     this.prestigeManager = prestigeManager;
     this.upgradeManager = upgradeManager;
+    this.world = world; // Decides which blueprints can appear
+    this.isBoss = isBoss; // Bigger, reinforced and worth a bonus
+
+    // Every random layout decision comes from this seed, so a castle can be
+    // rebuilt exactly (e.g. via ?castleSeed=)
+    this.rng = new SeededRandom(seed);
+    this.seed = this.rng.seed;
+
     this.blocks = [];
+    this.blueprint = null; // Set when built from a hand-authored blueprint
+    this.stability = 1; // Share of the layout that stood after pre-settling
     this.isDestroyed = false;
     this.destructionTime = 0;
     this.fadingOut = false;
@@ -165,10 +295,15 @@ class Castle {
 
     // Flag tracking
     this.flagBlock = null; // Will store the block that has the flag
+    this.flagCaptured = false; // Flag brought down before the castle fell
+    this.flagLost = false; // Flag came down too late to count
 
     // Damage tracking for fallback destruction
-    this.lastDamageTime = Date.now();
+    this.lastDamageTime = getTime();
     this.noDamageTimeout = 20000; // 20 seconds
+    if (isBoss) {
+      this.noDamageTimeout = CONFIG.BOSS.NO_DAMAGE_TIMEOUT;
+    }
 
     // Protection system
     this.isProtected = true;
@@ -180,12 +315,66 @@ class Castle {
       "seconds and 5 second protection period"
     );
 
-    this.generate();
+    // The layout is planned first (see planLayout), then built. A deferred
+    // castle is planned a few steps at a time with continuePlanning and
+    // built by the game once it is ready.
+    this.planner = this.planLayout();
+    this.layout = null;
+    if (!deferred) {
+      this.build();
+    }
   }
 
-  generate() {
-    // Clear any existing blocks
+  // Advance planning by up to maxSteps physics steps of stability testing.
+  // Returns true once the layout is ready to build.
+  continuePlanning(maxSteps) {
+    for (let step = 0; !this.layout && step < maxSteps; step++) {
+      const next = this.planner.next();
+      if (next.done) {
+        this.layout = next.value;
+      }
+    }
+    return this.layout !== null;
+  }
+
+  // Finish planning if needed and create the physics blocks
+  build() {
+    this.continuePlanning(Infinity);
+    const { structure, width, reward } = this.layout;
+
     this.clearBlocks();
+    this.buildStructure(structure, width);
+    this.reward = reward;
+
+    // Total health at spawn, for the boss health bar
+    this.maxHealth = this.getTotalHealth();
+  }
+
+  // Choose the layout: { structure, width, reward }. A generator that yields
+  // once per physics step of the stability tests (see settleStructure).
+  *planLayout() {
+    // Some castles are hand-authored blueprints instead of procedural.
+    // Boss castles are always procedural so they can be scaled up.
+    this.blueprint = this.isBoss ? null : this.chooseBlueprint();
+    if (this.blueprint) {
+      const { width, height, cells, rewardMultiplier } = this.blueprint;
+      const structure = yield* this.settleStructure(
+        cells.map((cell) => ({ ...cell })),
+        width
+      );
+      if (this.stability < CONFIG.CASTLE.STABILITY.MIN_SCORE) {
+        this.blueprint = null;
+        return this.createFallbackLayout(width, height);
+      }
+      return {
+        structure,
+        width,
+        reward: Math.floor(
+          this.calculateReward(width, height, this.countCells(structure)) *
+            rewardMultiplier
+        ),
+      };
+    }
 
     // Get base castle dimensions
     let minWidth = CONFIG.CASTLE.MIN_WIDTH;
@@ -230,16 +419,23 @@ class Castle {
         const heightSigma = heightRange * 0.3 * precisionFactor;
 
         // Sample from Gaussian distribution
-        width = sampleGaussian(minWidth, maxWidth, widthSigma, widthCenter);
+        width = sampleGaussian(
+          minWidth,
+          maxWidth,
+          widthSigma,
+          widthCenter,
+          this.rng
+        );
         height = sampleGaussian(
           minHeight,
           maxHeight,
           heightSigma,
-          heightCenter
+          heightCenter,
+          this.rng
         );
 
         // Debug output for Better Castles if debug parameter is present
-        if (window.location.search.includes("debug")) {
+        if (isDebugMode()) {
           console.log(
             `Better Castles Level: ${betterCastlesLevel}, Streak: ${currentStreak}/${maxStreak}, Progress: ${streakProgress.toFixed(
               2
@@ -258,39 +454,215 @@ class Castle {
         }
       } else {
         // No Better Castles upgrade - use uniform random
-        width = randomInt(minWidth, maxWidth);
-        height = randomInt(minHeight, maxHeight);
+        width = randomInt(minWidth, maxWidth, this.rng);
+        height = randomInt(minHeight, maxHeight, this.rng);
       }
     } else {
       // No prestige manager or upgrade manager - use uniform random
-      width = randomInt(minWidth, maxWidth);
-      height = randomInt(minHeight, maxHeight);
+      width = randomInt(minWidth, maxWidth, this.rng);
+      height = randomInt(minHeight, maxHeight, this.rng);
     }
 
-    // Generate castle structure
-    const structure = this.generateStructure(width, height);
+    // Boss castles are bigger than anything in the usual range
+    if (this.isBoss) {
+      width += CONFIG.BOSS.EXTRA_WIDTH;
+      height += CONFIG.BOSS.EXTRA_HEIGHT;
+    }
 
-    // Find the highest blocks and select one for the flag
-    const maxY = Math.max(...structure.map((block) => block.y));
-    const topBlocks = structure.filter((block) => block.y === maxY);
-    const flagBlockData =
-      topBlocks[Math.floor(Math.random() * topBlocks.length)];
-    flagBlockData.hasFlag = true; // Mark this block as having a flag
+    // Generate castle structures until one stands up on its own
+    let structure = null;
+    let stability = -1;
+    const attempts = CONFIG.CASTLE.STABILITY.ENABLED
+      ? CONFIG.CASTLE.STABILITY.MAX_ATTEMPTS
+      : 1;
+    const budget = { steps: CONFIG.CASTLE.STABILITY.MAX_STEPS };
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      // Out of test time: keep the best layout so far
+      if (structure && budget.steps <= 0) break;
+
+      const candidate = yield* this.settleStructure(
+        this.generateStructure(
+          width,
+          height,
+          this.isBoss ? CONFIG.BOSS.FILL_PROBABILITY : 0.4
+        ),
+        width,
+        budget
+      );
+      if (this.stability > stability) {
+        structure = candidate;
+        stability = this.stability;
+      }
+      if (stability >= CONFIG.CASTLE.STABILITY.MIN_SCORE) break;
+    }
+    this.stability = stability;
+
+    // Out of attempts or test time and still wobbly
+    if (stability < CONFIG.CASTLE.STABILITY.MIN_SCORE) {
+      return this.createFallbackLayout(width, height);
+    }
+    return this.finishLayout(structure, width, height);
+  }
 
-    // Create physics blocks (all are single 1x1 blocks now)
+  // Boss reinforcement and reward for a chosen procedural structure
+  finishLayout(structure, width, height) {
+    // Boss castles are built entirely from reinforced blocks
+    if (this.isBoss) {
+      for (const blockData of structure) {
+        blockData.special = [...(blockData.special || []), "reinforced"];
+      }
+    }
+
+    // Calculate reward based on castle complexity
+    let reward = this.calculateReward(
+      width,
+      height,
+      this.countCells(structure)
+    );
+    if (this.isBoss) {
+      reward *= CONFIG.BOSS.REWARD_MULTIPLIER;
+    }
+    return { structure, width, reward };
+  }
+
+  // Stepped keep of single blocks, each resting squarely on the row below,
+  // for when no layout stood well enough. It always stands, so it is not
+  // tested.
+  createFallbackLayout(width, height) {
+    const weights = this.getMaterialWeights();
+    const structure = [];
+    for (let y = 0; y < height && y < width - y; y++) {
+      for (let x = y; x < width - y; x++) {
+        structure.push({
+          x: x,
+          y: y,
+          material:
+            y === 0 ? MATERIALS.STONE : pickMaterial(weights, this.rng),
+          shape: "square",
+        });
+      }
+    }
+
+    this.stability = 1;
+    if (isDebugMode()) {
+      console.log("Castle stability too low, using the fallback keep");
+    }
+    return this.finishLayout(structure, width, height);
+  }
+
+  // Pre-settle a layout in a separate physics engine. Pieces that topple
+  // under their own weight are removed (with whatever rested on them) and
+  // the rest is tested again. Sets this.stability to the score of the
+  // returned structure. budget.steps is the physics time left for testing,
+  // shared by every layout tried for one castle, and is used up as it goes.
+  // A generator, like testStability.
+  *settleStructure(
+    structure,
+    width,
+    budget = { steps: CONFIG.CASTLE.STABILITY.MAX_STEPS }
+  ) {
+    const settings = CONFIG.CASTLE.STABILITY;
+    this.stability = 1;
+    if (!settings.ENABLED) return structure;
+
+    const options = {
+      x: this.x,
+      y: this.y,
+      gravity: this.physics.engine.world.gravity.y,
+    };
+    function* test(layout) {
+      const result = yield* testStability(layout, width, {
+        ...options,
+        maxSteps: budget.steps,
+      });
+      budget.steps -= result.steps;
+      return result;
+    }
+
+    let result = yield* test(structure);
+    for (
+      let pass = 0;
+      pass < settings.REPAIR_PASSES &&
+      result.score < settings.MIN_SCORE &&
+      budget.steps > 0;
+      pass++
+    ) {
+      const repaired = repairStructure(structure, result.toppled);
+      // Only base pieces toppled, so a retest would give the same result
+      if (repaired.length === structure.length) break;
+      structure = repaired;
+      result = yield* test(structure);
+    }
+
+    this.stability = result.score;
+    if (isDebugMode()) {
+      console.log(
+        `Castle stability: ${(result.score * 100).toFixed(0)}% with ${
+          structure.length
+        } pieces`
+      );
+    }
+    return structure;
+  }
+
+  // Grid cells filled by a structure, counting every cell of big pieces
+  countCells(structure) {
+    return structure.reduce(
+      (sum, block) => sum + (block.cells ? block.cells.length : 1),
+      0
+    );
+  }
+
+  // Blueprint for this castle, or null for a procedural one. ?blueprint=id
+  // forces a specific blueprint for testing.
+  chooseBlueprint() {
+    const forcedId = getUrlParams().get("blueprint");
+    if (forcedId) {
+      const blueprint = getBlueprintById(forcedId);
+      if (blueprint) return blueprint;
+      console.warn(`Unknown blueprint: ${forcedId}`);
+    }
+    return chooseBlueprint(this.world, this.rng);
+  }
+
+  // Create the physics blocks for a structure (grid cells with y = 0 at the
+  // bottom), centred on the castle position
+  buildStructure(structure, width) {
+    // Top row of each piece (multi-cell pieces list their cells)
+    const topY = (block) =>
+      block.y + Math.max(...(block.cells || [[0, 0]]).map(([, dy]) => dy));
+
+    // Without an authored flag, put it on one of the highest blocks
+    if (!structure.some((block) => block.hasFlag)) {
+      const maxY = Math.max(...structure.map(topY));
+      const topBlocks = structure.filter((block) => topY(block) === maxY);
+      const flagBlockData = randomChoice(topBlocks, this.rng);
+      flagBlockData.hasFlag = true; // Mark this block as having a flag
+    }
+
+    // Create physics blocks: 1x1 pieces are single bodies, bigger pieces
+    // one compound body with a part per cell
     for (const blockData of structure) {
       const blockX =
         this.x + (blockData.x - width / 2) * CONFIG.PHYSICS.BLOCK_SIZE;
       const blockY = this.y - blockData.y * CONFIG.PHYSICS.BLOCK_SIZE;
 
-      const physicsBody = this.physics.createBlock(
-        blockX,
-        blockY,
-        CONFIG.PHYSICS.BLOCK_SIZE,
-        CONFIG.PHYSICS.BLOCK_SIZE,
-        blockData.material,
-        blockData.shape
-      );
+      const physicsBody = blockData.cells
+        ? this.physics.createCompoundBlock(
+            blockX,
+            blockY,
+            blockData.cells.map(([dx, dy]) => ({ x: dx, y: -dy })),
+            blockData.material,
+            blockData.shape
+          )
+        : this.physics.createBlock(
+            blockX,
+            blockY,
+            CONFIG.PHYSICS.BLOCK_SIZE,
+            CONFIG.PHYSICS.BLOCK_SIZE,
+            blockData.material,
+            blockData.shape
+          );
 
       const block = new Block(
         blockX,
@@ -306,24 +678,32 @@ class Castle {
         this.flagBlock = block;
       }
 
+      // Blueprint specials (fragile materials still break in one go)
+      if (
+        blockData.special &&
+        blockData.special.includes("reinforced") &&
+        !getMaterial(blockData.material).fragile
+      ) {
+        physicsBody.health *= 2;
+        physicsBody.maxHealth = physicsBody.health;
+        block.health = physicsBody.health;
+        block.maxHealth = physicsBody.maxHealth;
+      }
+
       this.blocks.push(block);
     }
-
-    // Calculate reward based on castle complexity
-    this.reward = this.calculateReward(width, height, structure.length);
   }
 
-  generateStructure(width, height) {
+  generateStructure(width, height, baseProbability = 0.4) {
     const structure = [];
     const occupiedGrid = Array(height)
       .fill(null)
       .map(() => Array(width).fill(false));
 
     // Track piece counts for balancing
-    const pieceCounts = {
-      square1x1: 0,
-      circle1x1: 0,
-    };
+    const pieceCounts = Object.fromEntries(
+      Object.keys(PIECES).map((type) => [type, 0])
+    );
 
     // Generate base layer (always full stone for stability)
     for (let x = 0; x < width; x++) {
@@ -338,16 +718,14 @@ class Castle {
     pieceCounts.square1x1 += width;
 
     // Generate upper layers with decreasing probability (creates towers and spires)
+    // (each cell is filled with baseProbability if something holds it up)
     for (let y = 1; y < height; y++) {
-      // Probability decreases with height to create natural tower shapes
-      const baseProbability = 0.4;
-
       for (let x = 0; x < width; x++) {
         if (occupiedGrid[y][x]) continue; // Already occupied
 
-        if (Math.random() > baseProbability) continue;
+        if (this.rng.next() > baseProbability) continue;
 
-        // Get possible pieces (1x1 square or circle)
+        // Get pieces that fit here and rest on what is below
         const possiblePieces = this.getPossiblePieces(
           x,
           y,
@@ -364,17 +742,8 @@ class Castle {
           pieceCounts
         );
 
-        if (
-          selectedPiece &&
-          this.canPlacePiece(selectedPiece, x, y, occupiedGrid)
-        ) {
-          const placedBlocks = this.placePiece(
-            selectedPiece,
-            x,
-            y,
-            occupiedGrid,
-            structure
-          );
+        if (selectedPiece) {
+          this.placePiece(selectedPiece, x, y, occupiedGrid, structure);
           pieceCounts[selectedPiece.type]++;
         }
       }
@@ -384,40 +753,38 @@ class Castle {
   }
 
   getPossiblePieces(x, y, width, height, occupiedGrid) {
-    const pieces = [];
+    return Object.entries(PIECES)
+      .map(([type, piece]) => ({ type, ...piece }))
+      .filter((piece) => {
+        // Must fit inside the castle footprint
+        if (x + piece.width > width || y + piece.height > height) {
+          return false;
+        }
 
-    // 1x1 Square (always available if we have support)
-    pieces.push({ type: "square1x1", width: 1, height: 1, shape: "square" });
+        // Circles only away from the leftmost and rightmost columns
+        if (piece.shape === "circle" && (x === 0 || x === width - 1)) {
+          return false;
+        }
 
-    // 1x1 Circle (only if not at leftmost or rightmost column)
-    if (x > 0 && x < width - 1) {
-      pieces.push({ type: "circle1x1", width: 1, height: 1, shape: "circle" });
-    }
+        // Roof caps stay off the lowest rows
+        if (piece.minY && y < piece.minY) {
+          return false;
+        }
 
-    return pieces;
+        return (
+          this.canPlacePiece(piece, x, y, occupiedGrid) &&
+          this.hasSupport(piece, x, y, occupiedGrid)
+        );
+      });
   }
 
-  hasSupport(x, y, pieceWidth, pieceHeight, occupiedGrid) {
+  // Every support cell of the piece must rest on an occupied cell
+  hasSupport(piece, x, y, occupiedGrid) {
     if (y === 0) return true; // Ground level
 
-    // Check if there's at least one block supporting this piece from below
-    for (let px = x; px < x + pieceWidth; px++) {
-      if (occupiedGrid[y - 1] && occupiedGrid[y - 1][px]) {
-        return true;
-      }
-    }
-    return false;
-  }
-
-  spaceAvailable(x, y, width, height, occupiedGrid) {
-    for (let py = y; py < y + height; py++) {
-      for (let px = x; px < x + width; px++) {
-        if (occupiedGrid[py] && occupiedGrid[py][px]) {
-          return false;
-        }
-      }
-    }
-    return true;
+    return piece.supports.every(
+      ([dx, dy]) => dy > 0 || occupiedGrid[y - 1][x + dx]
+    );
   }
 
   selectPieceWithBalancing(possiblePieces, pieceCounts) {
@@ -429,23 +796,28 @@ class Castle {
       0
     );
 
-    // If we don't have many pieces yet, use simple random selection
-    if (totalPieces < 10) {
-      const randomIndex = Math.floor(Math.random() * possiblePieces.length);
-      return possiblePieces[randomIndex];
-    }
-
-    // Base probability for each piece type
-    const baseProbability = 1.0;
+    // Target share of each piece type
+    const pieceWeights = CONFIG.CASTLE.PIECE_WEIGHTS;
+    const totalPieceWeight = Object.values(pieceWeights).reduce(
+      (sum, weight) => sum + weight,
+      0
+    );
 
     // Adjust probabilities based on how many of each type we've used
     const weightedPieces = possiblePieces.map((piece) => {
+      // Base probability is the piece type's configured weight
+      let weight = pieceWeights[piece.type] || 0;
+
+      // If we don't have many pieces yet, use the configured weights as is
+      if (totalPieces < 10) {
+        return { piece, weight };
+      }
+
       const currentCount = pieceCounts[piece.type] || 0;
-      const expectedRatio = 1.0 / Object.keys(pieceCounts).length; // Equal distribution
+      const expectedRatio = (pieceWeights[piece.type] || 0) / totalPieceWeight;
       const actualRatio = totalPieces > 0 ? currentCount / totalPieces : 0;
 
       // Reduce probability if we've used too many of this type
-      let weight = baseProbability;
       if (actualRatio > expectedRatio * 1.5) {
         weight *= 0.3; // Reduce probability significantly
       } else if (actualRatio > expectedRatio) {
@@ -461,11 +833,10 @@ class Castle {
     const totalWeight = weightedPieces.reduce((sum, wp) => sum + wp.weight, 0);
     if (totalWeight <= 0) {
       // Fallback to random selection
-      const randomIndex = Math.floor(Math.random() * possiblePieces.length);
-      return possiblePieces[randomIndex];
+      return randomChoice(possiblePieces, this.rng);
     }
 
-    let random = Math.random() * totalWeight;
+    let random = this.rng.next() * totalWeight;
 
     for (const wp of weightedPieces) {
       random -= wp.weight;
@@ -479,11 +850,20 @@ class Castle {
   }
 
   placePiece(piece, x, y, occupiedGrid, structure) {
-    const placedBlocks = [];
-    const material = Math.random() < 0.5 ? MATERIALS.WOOD : MATERIALS.STONE;
+    // Barrels and other single-cell-only materials can't form big pieces
+    let weights = this.getMaterialWeights();
+    if (piece.cells.length > 1) {
+      weights = Object.fromEntries(
+        Object.entries(weights).filter(
+          ([material]) => !getMaterial(material).singleCellOnly
+        )
+      );
+    }
+    const material = pickMaterial(weights, this.rng);
 
-    // All pieces are 1x1, so no grouping needed
-    occupiedGrid[y][x] = true;
+    for (const [dx, dy] of piece.cells) {
+      occupiedGrid[y + dy][x + dx] = true;
+    }
 
     const structureBlock = {
       x: x,
@@ -491,40 +871,55 @@ class Castle {
       material: material,
       shape: piece.shape,
     };
+    if (piece.cells.length > 1) {
+      structureBlock.cells = piece.cells;
+    }
     structure.push(structureBlock);
-    placedBlocks.push(structureBlock);
 
-    return placedBlocks;
+    return structureBlock;
+  }
+
+  // Material odds for this castle's world
+  getMaterialWeights() {
+    return (
+      (this.world && this.world.materialWeights) ||
+      CONFIG.CASTLE.MATERIAL_WEIGHTS
+    );
   }
 
   canPlacePiece(piece, x, y, occupiedGrid) {
-    // Check if space is available for rectangular shape
-    for (let py = y; py < y + piece.height; py++) {
-      for (let px = x; px < x + piece.width; px++) {
-        if (occupiedGrid[py] && occupiedGrid[py][px]) return false;
-      }
-    }
-    return true;
+    // Check that every cell of the piece is free
+    return piece.cells.every(
+      ([dx, dy]) => occupiedGrid[y + dy] && !occupiedGrid[y + dy][x + dx]
+    );
   }
 
   calculateReward(width, height, blockCount) {
     // Base reward plus bonuses for size and complexity
     const sizeBonus = (width + height) * 2;
     const complexityBonus = blockCount * 1.5;
-    return Math.floor(CONFIG.CASTLE.BASE_REWARD + sizeBonus + complexityBonus);
+
+    // Wobbly castles partly fall down by themselves, so they pay less
+    const stabilityFactor =
+      1 - (1 - this.stability) * CONFIG.CASTLE.STABILITY.REWARD_WEIGHT;
+
+    return Math.floor(
+      (CONFIG.CASTLE.BASE_REWARD + sizeBonus + complexityBonus) *
+        stabilityFactor
+    );
   }
 
   // Track when damage is taken to reset timeout
   onDamageTaken() {
-    this.lastDamageTime = Date.now();
+    this.lastDamageTime = getTime();
   }
 
   // Check if castle should be auto-destroyed due to no damage timeout
   shouldAutoDestroy() {
-    const timeSinceLastDamage = Date.now() - this.lastDamageTime;
+    const timeSinceLastDamage = getTime() - this.lastDamageTime;
     const shouldDestroy = timeSinceLastDamage >= this.noDamageTimeout;
 
-    if (shouldDestroy && window.location.search.includes("debug")) {
+    if (shouldDestroy && isDebugMode()) {
       console.log(
         `Castle should auto-destroy: ${(timeSinceLastDamage / 1000).toFixed(
           1
@@ -561,6 +956,11 @@ class Castle {
     // Check for collisions with cannonballs
     this.handleCollisions();
 
+    // Flag capture has to happen before the castle counts as destroyed
+    if (!this.isDestroyed) {
+      this.checkFlagCapture();
+    }
+
     // Check if castle is destroyed
     if (!this.isDestroyed) {
       this.checkDestroyed();
@@ -596,6 +996,14 @@ class Castle {
         const cannonball = collision.cannonball;
         const cannonballData = collision.cannonballData;
         const velocity = cannonball.velocity;
+
+        // Where the shot first reached the castle, for aim calibration
+        if (cannonballData && !cannonballData.firstContact) {
+          cannonballData.firstContact = {
+            position: { ...cannonball.position },
+            velocity: { ...velocity },
+          };
+        }
         const speed = Math.sqrt(
           velocity.x * velocity.x + velocity.y * velocity.y
         );
@@ -620,6 +1028,12 @@ class Castle {
             continue;
           }
 
+          // Hard materials shrug off slow cannonballs
+          const { deflectBelowSpeed } = getMaterial(hitBlock.material);
+          if (deflectBelowSpeed && speed < deflectBelowSpeed) {
+            continue;
+          }
+
           // Check if this is a fireball
           const isFireball = cannonballData && cannonballData.isFireball;
 
@@ -630,80 +1044,11 @@ class Castle {
 
             // Damage all blocks within explosion radius
             const explosionRadius = 40; // 40 pixel radius
-            const nearbyBlocks = this.physics.getBlocksInRadius(
-              pos.x,
-              pos.y,
-              explosionRadius
-            );
-
-            for (const nearbyBlockBody of nearbyBlocks) {
-              const nearbyBlock = this.blocks.find(
-                (block) => block.body === nearbyBlockBody
-              );
-              if (nearbyBlock && !nearbyBlock.isDestroyed) {
-                // Calculate distance-based damage (closer = more damage)
-                const distance = Math.sqrt(
-                  Math.pow(nearbyBlockBody.position.x - pos.x, 2) +
-                    Math.pow(nearbyBlockBody.position.y - pos.y, 2)
-                );
-                const distanceFactor = Math.max(
-                  0.3,
-                  1 - distance / explosionRadius
-                );
-                const explosionDamage = Math.floor(damage * distanceFactor);
-
-                // Disable protection for explosion damage
-                if (nearbyBlock.isProtected) {
-                  nearbyBlock.isProtected = false;
-                }
-
-                const wasDestroyed = nearbyBlock.takeDamage(explosionDamage);
-
-                // Apply explosion force to push blocks away
-                if (!wasDestroyed) {
-                  const forceMultiplier = 0.03; // Base force strength
-                  const forceStrength = forceMultiplier * distanceFactor;
-
-                  // Calculate direction from explosion center to block
-                  const deltaX = nearbyBlockBody.position.x - pos.x;
-                  const deltaY = nearbyBlockBody.position.y - pos.y;
-
-                  // Normalize the direction (avoid division by zero)
-                  if (distance > 0.1) {
-                    const normalizedX = deltaX / distance;
-                    const normalizedY = deltaY / distance;
-
-                    // Apply force away from explosion center
-                    const forceX = normalizedX * forceStrength;
-                    const forceY = normalizedY * forceStrength;
-
-                    this.physics.applyForce(nearbyBlockBody, forceX, forceY);
-                  }
-                }
-
-                if (wasDestroyed) {
-                  // Create debris particles
-                  const blockPos = nearbyBlockBody.position;
-                  this.particles.createDebris(
-                    blockPos.x,
-                    blockPos.y,
-                    nearbyBlock.material
-                  );
-                  // Remove from physics world
-                  this.physics.removeBlock(nearbyBlockBody);
-                }
-              }
-            }
+            this.applyExplosion(pos.x, pos.y, explosionRadius, damage);
           } else {
             // Normal cannonball damage
-            const wasDestroyed = hitBlock.takeDamage(damage);
-
-            if (wasDestroyed) {
-              // Create debris particles
-              const pos = hitBlock.body.position;
-              this.particles.createDebris(pos.x, pos.y, hitBlock.material);
-              // Remove from physics world
-              this.physics.removeBlock(hitBlock.body);
+            if (hitBlock.takeDamage(damage)) {
+              this.destroyBlock(hitBlock);
             }
           }
 
@@ -720,6 +1065,79 @@ class Castle {
     this.handleBlockCollisions();
   }
 
+  // Remove a destroyed block, leaving debris and running its material's
+  // on-destroy behaviour (explosive blocks can set off a chain reaction)
+  destroyBlock(block) {
+    const pos = block.body.position;
+    const material = getMaterial(block.material);
+
+    // Big pieces crumble cell by cell
+    for (const part of block.getParts()) {
+      this.particles.createDebris(
+        part.position.x,
+        part.position.y,
+        block.material
+      );
+    }
+    this.physics.removeBlock(block.body);
+
+    if (material.onDestroy === "explode") {
+      this.particles.createFireballExplosion(pos.x, pos.y);
+      this.applyExplosion(
+        pos.x,
+        pos.y,
+        material.explosionRadius,
+        material.explosionDamage
+      );
+    }
+  }
+
+  // Damage and push away every block within radius, closer blocks harder
+  applyExplosion(x, y, radius, damage) {
+    const nearbyBlocks = this.physics.getBlocksInRadius(x, y, radius);
+
+    for (const nearbyBlockBody of nearbyBlocks) {
+      const nearbyBlock = this.blocks.find(
+        (block) => block.body === nearbyBlockBody
+      );
+      if (!nearbyBlock || nearbyBlock.isDestroyed) continue;
+
+      // Calculate distance-based damage (closer = more damage)
+      const distance = Math.sqrt(
+        Math.pow(nearbyBlockBody.position.x - x, 2) +
+          Math.pow(nearbyBlockBody.position.y - y, 2)
+      );
+      const distanceFactor = Math.max(0.3, 1 - distance / radius);
+      const explosionDamage = Math.floor(damage * distanceFactor);
+
+      // Disable protection for explosion damage
+      if (nearbyBlock.isProtected) {
+        nearbyBlock.isProtected = false;
+      }
+
+      const wasDestroyed = nearbyBlock.takeDamage(explosionDamage);
+
+      // Apply explosion force to push blocks away
+      if (!wasDestroyed) {
+        const forceMultiplier = 0.03; // Base force strength
+        const forceStrength = forceMultiplier * distanceFactor;
+
+        // Calculate direction from explosion center to block
+        const deltaX = nearbyBlockBody.position.x - x;
+        const deltaY = nearbyBlockBody.position.y - y;
+
+        // Normalize the direction (avoid division by zero)
+        if (distance > 0.1) {
+          const forceX = (deltaX / distance) * forceStrength;
+          const forceY = (deltaY / distance) * forceStrength;
+          this.physics.applyForce(nearbyBlockBody, forceX, forceY);
+        }
+      } else {
+        this.destroyBlock(nearbyBlock);
+      }
+    }
+  }
+
   calculateDamage(speed) {
     const minDamageVelocity = 5;
 
@@ -780,10 +1198,7 @@ class Castle {
         this.onDamageTaken();
 
         if (wasDestroyed) {
-          // Create debris particles
-          this.particles.createDebris(pos.x, pos.y, block.material);
-          // Remove from physics world
-          this.physics.removeBlock(block.body);
+          this.destroyBlock(block);
         }
       }
     }
@@ -833,15 +1248,11 @@ class Castle {
             this.onDamageTaken();
 
             if (blockADestroyed) {
-              const pos = blockA.body.position;
-              this.particles.createDebris(pos.x, pos.y, blockA.material);
-              this.physics.removeBlock(blockA.body);
+              this.destroyBlock(blockA);
             }
 
             if (blockBDestroyed) {
-              const pos = blockB.body.position;
-              this.particles.createDebris(pos.x, pos.y, blockB.material);
-              this.physics.removeBlock(blockB.body);
+              this.destroyBlock(blockB);
             }
           }
         }
@@ -850,15 +1261,7 @@ class Castle {
   }
 
   areBlocksColliding(bodyA, bodyB) {
-    const bounds1 = bodyA.bounds;
-    const bounds2 = bodyB.bounds;
-
-    return !(
-      bounds1.max.x < bounds2.min.x ||
-      bounds1.min.x > bounds2.max.x ||
-      bounds1.max.y < bounds2.min.y ||
-      bounds1.min.y > bounds2.max.y
-    );
+    return this.physics.areColliding(bodyA, bodyB);
   }
 
   checkDestroyed() {
@@ -920,18 +1323,55 @@ class Castle {
     }
   }
 
+  // The flag is captured when its block is destroyed or knocked to the
+  // ground while most of the castle (CONFIG.FLAG.MIN_STANDING) still stands
+  checkFlagCapture() {
+    const flagBlock = this.flagBlock;
+    if (!flagBlock || this.flagCaptured || this.flagLost) return;
+    if (this.isProtected) return;
+
+    // Same "touching ground" test as checkDestroyed
+    const groundY = CONFIG.PHYSICS.GROUND_Y;
+    const isOnGround = (block) =>
+      block.body.position.y >= groundY - CONFIG.PHYSICS.BLOCK_SIZE;
+
+    if (!flagBlock.isDestroyed && !isOnGround(flagBlock)) return;
+
+    const standing = this.blocks.filter(
+      (block) => block !== flagBlock && !block.isDestroyed && !isOnGround(block)
+    ).length;
+    if (standing < this.blocks.length * CONFIG.FLAG.MIN_STANDING) {
+      // Too late: the flag came down with the castle
+      this.flagLost = true;
+      return;
+    }
+
+    this.flagCaptured = true;
+    flagBlock.hasFlag = false; // The flag is taken, not left on the rubble
+
+    const pos = flagBlock.getTopPart().position;
+    this.particles.createFlagCapture(pos.x, pos.y);
+
+    if (this.upgradeManager) {
+      this.upgradeManager.onFlagCaptured();
+    }
+  }
+
   onDestroyed() {
     // Celebration effects
     this.particles.createFireworks(this.x, this.y - 100);
+    if (this.isBoss) {
+      this.particles.createBossCelebration(this.x, this.y - 150);
+    }
 
     // Add some extra fireworks
-    setTimeout(() => {
+    this.particles.schedule(300, () => {
       this.particles.createFireworks(this.x - 50, this.y - 150);
-    }, 300);
+    });
 
-    setTimeout(() => {
+    this.particles.schedule(600, () => {
       this.particles.createFireworks(this.x + 50, this.y - 120);
-    }, 600);
+    });
   }
 
   clearBlocks() {
@@ -958,12 +1398,56 @@ class Castle {
     ctx.restore();
   }
 
+  // Health left in blocks that are still standing
+  getTotalHealth() {
+    return this.blocks.reduce(
+      (sum, block) => sum + (block.isDestroyed ? 0 : Math.max(0, block.health)),
+      0
+    );
+  }
+
+  // Aggregate health bar across the top of the canvas (boss castles)
+  renderHealthBar(ctx) {
+    if (this.isDestroyed || this.maxHealth <= 0) return;
+
+    const fraction = this.getTotalHealth() / this.maxHealth;
+    const barWidth = 400;
+    const barHeight = 14;
+    const barX = (CONFIG.CANVAS.WIDTH - barWidth) / 2;
+    const barY = 30;
+
+    ctx.save();
+
+    ctx.fillStyle = "#FFD700";
+    ctx.font = "bold 16px Arial";
+    ctx.textAlign = "center";
+    ctx.fillText("BOSS CASTLE", CONFIG.CANVAS.WIDTH / 2, barY - 8);
+
+    // Background bar
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(barX, barY, barWidth, barHeight);
+
+    // Health left, from green through yellow to red
+    const hue = Math.round(120 * fraction);
+    ctx.fillStyle = `hsl(${hue}, 80%, 45%)`;
+    ctx.fillRect(barX, barY, barWidth * fraction, barHeight);
+
+    ctx.strokeStyle = "#FFD700";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(barX, barY, barWidth, barHeight);
+
+    ctx.restore();
+  }
+
   // Check if castle destruction sequence is complete
   isCompletelyDestroyed() {
     return this.isDestroyed && this.fadeAlpha <= 0;
   }
 
   getReward() {
+    if (this.flagCaptured) {
+      return Math.floor(this.reward * CONFIG.FLAG.CAPTURE_MULTIPLIER);
+    }
     return this.reward;
   }
 }
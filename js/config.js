@@ -14,10 +14,60 @@ export const CONFIG = {
     SPEED_MIN: 20,
     SPEED_MAX: 20,
     WEIGHT: 1.0,
+    BASE_SPREAD: 1.5, // Aim error in degrees (one standard deviation)
     MIN_ANGLE: -10, // -10 degrees
     MAX_ANGLE: Math.PI / 2, // 90 degrees
   },
 
+  // Target-selection strategies, in the order Smart Targeting unlocks them
+  TARGETING: {
+    DEFAULT_STRATEGY: "random",
+    STRATEGIES: [
+      {
+        id: "random",
+        name: "Random",
+        description: "Fires at any block in reach",
+        unlockLevel: 0,
+      },
+      {
+        id: "lowestSupporting",
+        name: "Lowest Support",
+        description: "Knocks out the lowest block holding others up",
+        unlockLevel: 1,
+      },
+      {
+        id: "flagFirst",
+        name: "Flag Hunter",
+        description: "Goes for the flag block and whatever holds it up",
+        unlockLevel: 2,
+      },
+      {
+        id: "highestMassAbove",
+        name: "Heaviest Load",
+        description: "Hits the block carrying the most weight",
+        unlockLevel: 3,
+      },
+      {
+        id: "nearestToCollapse",
+        name: "Nearest to Collapse",
+        description: "Finishes off damaged and tilted load-bearing blocks",
+        unlockLevel: 4,
+      },
+    ],
+  },
+
+  // Learned aim corrections (js/aimCalibration.js), per world and grid cell
+  AIM_CALIBRATION: {
+    ENABLED: true,
+    CELL_SIZE: 50, // Pixels per grid cell
+    MIN_SAMPLES: 3, // Shots into a cell before its correction is used
+    LEARNING_RATE: 0.2, // Weight of each new shot once a cell has a few
+    MAX_ERROR: 50, // Contacts further from the target are not aiming errors
+    MAX_CORRECTION: 25, // Largest offset a cell can learn, in pixels
+    ARROW_SCALE: 2, // Debug view arrow length per pixel of offset
+    SAVE_INTERVAL: 10000, // Least milliseconds between saves of new learning
+  },
+
   CASTLE: {
     X: 900,
     Y: 450,
@@ -26,30 +76,67 @@ export const CONFIG = {
     MIN_HEIGHT: 12,
     MAX_HEIGHT: 15,
     BASE_REWARD: 15,
-  },
-
-  UPGRADES: {
-    BASE_COSTS: {
-      fireRate: 10,
-      size: 50,
+    BLUEPRINT_CHANCE: 0.25, // Share of castles built from a world's blueprints
+    BLUEPRINT_MAX_WIDTH: 16,
+    BLUEPRINT_MAX_HEIGHT: 18,
+    // Relative odds of each material above the stone base layer. Worlds can
+    // override with materialWeights. Properties live in js/materials.js.
+    MATERIAL_WEIGHTS: {
+      wood: 46,
+      stone: 46,
+      glass: 2,
+      ice: 2,
+      iron: 2,
+      explosive: 1,
+      rubber: 1,
     },
-    COST_MULTIPLIER: 1.5,
-    LEVEL_CAPS: {
-      fireRate: 14,
-      size: 10,
+    // Relative odds of each piece shape in procedural castles (see PIECES in
+    // js/castle.js). Bigger pieces are compound bodies with more health.
+    PIECE_WEIGHTS: {
+      square1x1: 40,
+      circle1x1: 20,
+      beam2x1: 12,
+      pillar1x3: 10,
+      lintel3x1: 7,
+      arch3x2: 6,
+      roofCap3x2: 5,
     },
-    EFFECTS: {
-      fireRate: 0.08, // 8% faster per level
-      size: 0.1, // 10% larger per level
+    // Pre-settle pass for new castles (see js/stability.js)
+    STABILITY: {
+      ENABLED: true,
+      SETTLE_MS: 4000, // Simulated time to land and settle at Earth gravity
+      // How far a piece may slide (in block sizes) or tip (in radians) and
+      // still count as standing
+      MAX_SHIFT: 0.5,
+      MAX_TILT: 0.3,
+      MIN_SCORE: 0.9, // Share of cells that must stand
+      REPAIR_PASSES: 2, // Times toppled pieces are removed and retested
+      MAX_ATTEMPTS: 3, // Procedural layouts tried before the fallback keep
+      MAX_STEPS: 600, // Physics steps all the tests of one castle may take
+      // Test steps run per frame while the next castle is planned during
+      // the last one's fade-out (600 steps take 2 of its 3 seconds)
+      STEPS_PER_FRAME: 5,
+      // A test ends early once every piece moves slower than this (pixels
+      // and radians per step, at Earth gravity) for REST_STEPS steps
+      REST_SPEED: 0.05,
+      REST_ANGULAR_SPEED: 0.001,
+      REST_STEPS: 30,
+      REWARD_WEIGHT: 0.5, // Reward lost per unit of missing stability
     },
   },
 
+  // Costs, caps and effects of each upgrade are in js/upgradeRegistry.js
+  UPGRADES: {
+    COST_MULTIPLIER: 1.5, // Default price growth per level
+  },
+
   PHYSICS: {
     GRAVITY: 1.0,
     WOOD_HEALTH: 4,
     STONE_HEALTH: 8,
     BLOCK_SIZE: 25,
     GROUND_Y: 500,
+    CANNONBALL_FRICTION_AIR: 0.01,
   },
 
   COLORS: {
@@ -75,6 +162,7 @@ export const CONFIG = {
         cannonball: "#2F2F2F",
       },
       completionRequired: 5, // Castles needed after maxing upgrades
+      bossEvery: 10, // Every Nth castle in this world is a boss castle
     },
     {
       id: 2,
@@ -88,7 +176,15 @@ export const CONFIG = {
         stone: "#808080",
         cannonball: "#D3D3D3", // Lighter gray for visibility against dark sky
       },
+      materialWeights: {
+        wood: 40,
+        stone: 40,
+        glass: 12,
+        explosive: 2,
+        rubber: 6,
+      },
       completionRequired: 5,
+      bossEvery: 10,
     },
     {
       id: 3,
@@ -103,6 +199,14 @@ export const CONFIG = {
         cannonball: "#2F2F2F",
       },
       completionRequired: 5,
+      bossEvery: 9,
+      weather: {
+        name: "Dust storm",
+        wind: 0.02, // Sideways push in units of Earth gravity, + blows right
+        gust: 0.03, // Extra push the gusts swing through, either way
+        gustPeriod: 8000, // Milliseconds per gust cycle
+        particles: "dust",
+      },
     },
     {
       id: 4,
@@ -116,7 +220,14 @@ export const CONFIG = {
         stone: "#444444",
         cannonball: "#E5E5E5", // Lighter gray for visibility against dark sky
       },
+      materialWeights: {
+        wood: 35,
+        stone: 40,
+        iron: 20,
+        explosive: 5,
+      },
       completionRequired: 5,
+      bossEvery: 9,
     },
     {
       id: 5,
@@ -131,6 +242,13 @@ export const CONFIG = {
         cannonball: "#2F2F2F",
       },
       completionRequired: 5,
+      bossEvery: 8,
+      weather: {
+        name: "Dense atmosphere",
+        wind: 0.02,
+        drag: 0.002, // Added to the cannonball's air friction
+        particles: "haze",
+      },
     },
     {
       id: 6,
@@ -145,6 +263,14 @@ export const CONFIG = {
         cannonball: "#2F2F2F",
       },
       completionRequired: 5,
+      bossEvery: 8,
+      weather: {
+        name: "Jet stream",
+        wind: -0.08,
+        gust: 0.06,
+        gustPeriod: 6000,
+        particles: "wind",
+      },
     },
     {
       id: 7,
@@ -159,6 +285,12 @@ export const CONFIG = {
         cannonball: "#2F2F2F",
       },
       completionRequired: 5,
+      bossEvery: 8,
+      weather: {
+        name: "Steady winds",
+        wind: 0.05,
+        particles: "wind",
+      },
     },
     {
       id: 8,
@@ -172,7 +304,21 @@ export const CONFIG = {
         stone: "#008B8B",
         cannonball: "#2F2F2F",
       },
+      materialWeights: {
+        wood: 35,
+        stone: 35,
+        ice: 25,
+        glass: 5,
+      },
       completionRequired: 5,
+      bossEvery: 7,
+      weather: {
+        name: "Polar winds",
+        wind: -0.04,
+        gust: 0.02,
+        gustPeriod: 10000,
+        particles: "wind",
+      },
     },
     {
       id: 9,
@@ -187,6 +333,14 @@ export const CONFIG = {
         cannonball: "#2F2F2F",
       },
       completionRequired: 5,
+      bossEvery: 7,
+      weather: {
+        name: "Supersonic winds",
+        wind: 0.1,
+        gust: 0.05,
+        gustPeriod: 5000,
+        particles: "wind",
+      },
     },
     {
       id: 10,
@@ -200,7 +354,14 @@ export const CONFIG = {
         stone: "#708090",
         cannonball: "#F0F8FF", // Light blue-white for visibility against dark midnight blue sky
       },
+      materialWeights: {
+        wood: 30,
+        stone: 30,
+        ice: 35,
+        glass: 5,
+      },
       completionRequired: 5,
+      bossEvery: 6,
     },
     {
       id: 11,
@@ -214,13 +375,124 @@ export const CONFIG = {
         stone: "#556B2F",
         cannonball: "#39FF14",
       },
+      materialWeights: {
+        wood: 35,
+        stone: 35,
+        iron: 10,
+        explosive: 10,
+        rubber: 10,
+      },
       completionRequired: 5,
+      bossEvery: 6,
     },
   ],
 
   MONEY: {
     BASE_MULTIPLIER: 1,
     MAX_STREAK_MULTIPLIER: 10,
+    REWARD_AVERAGE_RATE: 0.2, // How fast the average castle reward follows
+  },
+
+  // Streak warnings and queued purchases (js/purchasePlanner.js)
+  PLANNER: {
+    WARN_LOSS_RATIO: 0.5, // Warn when the streak loss is this share of price
+    MAX_ESTIMATE_CASTLES: 200, // Longer waits are shown as out of reach
+  },
+
+  // Auto-buyer unlocked by the Auto-Buyer prestige upgrade (js/autoBuyer.js)
+  AUTOMATION: {
+    CHECK_INTERVAL: 1000, // Milliseconds between purchase checks
+    LOG_SIZE: 50, // Automated actions kept in the log
+  },
+
+  // Economy ledger and income breakdown (js/economyLedger.js)
+  LEDGER: {
+    RECENT_WINDOW: 5 * 60 * 1000, // Single entries kept for this long (ms)
+    BUCKET_DURATION: 60 * 60 * 1000, // Saved history is summed per hour
+    BUCKET_COUNT: 24, // Hourly buckets kept in the save
+
+    // Where money and gems come from and go to. Credits add to the balance,
+    // debits take from it; the breakdown lists them in this order.
+    SOURCES: [
+      {
+        id: "castle",
+        name: "Castle rewards",
+        currency: "money",
+        kind: "credit",
+      },
+      {
+        id: "streakBonus",
+        name: "Streak bonus",
+        currency: "money",
+        kind: "credit",
+      },
+      {
+        id: "prestigeBonus",
+        name: "Prestige bonus",
+        currency: "money",
+        kind: "credit",
+      },
+      {
+        id: "passive",
+        name: "Passive income",
+        currency: "money",
+        kind: "credit",
+      },
+      {
+        id: "offline",
+        name: "Offline progress",
+        currency: "money",
+        kind: "credit",
+      },
+      {
+        id: "upgradePurchase",
+        name: "Upgrade purchases",
+        currency: "money",
+        kind: "debit",
+      },
+      {
+        id: "prestigePurchase",
+        name: "Prestige upgrades",
+        currency: "gems",
+        kind: "debit",
+      },
+    ],
+
+    // Periods the breakdown can show; null covers all time
+    PERIODS: [
+      { id: "recent", name: "Last 5 minutes", duration: 5 * 60 * 1000 },
+      { id: "day", name: "Last 24 hours", duration: 24 * 60 * 60 * 1000 },
+      { id: "all", name: "All time", duration: null },
+    ],
+  },
+
+  // Flag capture: bring the flag down before the rest of the castle
+  FLAG: {
+    CAPTURE_MULTIPLIER: 1.5, // Castle reward multiplier once captured
+    MIN_STANDING: 0.3, // Share of the castle's blocks that must still stand
+  },
+
+  // Boss castles (how often they appear is set per world with bossEvery)
+  BOSS: {
+    EXTRA_WIDTH: 4, // Added to the usual castle size
+    EXTRA_HEIGHT: 3,
+    FILL_PROBABILITY: 0.65, // Chance to fill a cell (ordinary castles: 0.4)
+    NO_DAMAGE_TIMEOUT: 45000, // Ordinary castles give up after 20 seconds
+    REWARD_MULTIPLIER: 5,
+    GEM_BONUS: 10, // On top of the gem per castle, after the first prestige
+  },
+
+  OFFLINE: {
+    MIN_MINUTES: 5, // Shorter absences earn nothing extra
+    MAX_HOURS: 24, // Offline time beyond this is not counted
+    EFFICIENCY: 0.5, // Offline play earns half of active play
+    MAX_TIMED_CASTLE_SECONDS: 600, // Longer gaps between castles are ignored
+
+    // Fallbacks until the player's own castles have been measured: the
+    // estimate uses UpgradeManager's averages once there are any
+    SHOTS_PER_CASTLE: 80, // Volleys at base size, misses included
+    CASTLE_OVERHEAD_MS: 5000, // Castle drop and settle time
+    AVERAGE_CASTLE_REWARD: 150, // Mean base reward of generated castles
   },
 
   PRESTIGE: {
@@ -236,6 +508,8 @@ export const CONFIG = {
       fireballs: 10,
       betterCastles: 10,
       passiveIncome: 10,
+      smartTargeting: 4, // One level per targeting strategy beyond Random
+      autoBuyer: 1, // A single level unlocks the Automation tab
     },
     UPGRADES: {
       doubleShot: {
@@ -265,6 +539,16 @@ export const CONFIG = {
         name: "Passive Income",
         description: "Earn money automatically over time",
       },
+      smartTargeting: {
+        name: "Smart Targeting",
+        description:
+          "Unlocks a new targeting strategy per level, chosen on the Cannons tab",
+      },
+      autoBuyer: {
+        name: "Auto-Buyer",
+        description:
+          "Buys upgrades and advances worlds by your rules, set on the Automation tab",
+      },
     },
     CANNONS: [
       {
@@ -329,6 +613,11 @@ export const CONFIG = {
 export const MATERIALS = {
   WOOD: "wood",
   STONE: "stone",
+  GLASS: "glass",
+  IRON: "iron",
+  ICE: "ice",
+  EXPLOSIVE: "explosive",
+  RUBBER: "rubber",
 };
 
 // Game states
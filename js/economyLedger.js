@@ -0,0 +1,183 @@
+// Economy ledger - every credit and debit by source, for the income breakdown
+import { CONFIG } from "./config.js";
+import { getTime } from "./environment.js";
+import SaveManager from "./saveManager.js";
+import BigNumber from "./bigNumber.js";
+
+// Source id -> amount, all zero
+function createAmounts() {
+  return Object.fromEntries(
+    CONFIG.LEDGER.SOURCES.map((source) => [source.id, BigNumber.ZERO])
+  );
+}
+
+// Saved amounts are digit strings (see BigNumber)
+function amountsToSave(amounts) {
+  return Object.fromEntries(
+    Object.entries(amounts).map(([id, amount]) => [id, amount.toString()])
+  );
+}
+
+function amountsFromSave(saved) {
+  const amounts = createAmounts();
+  for (const id of Object.keys(amounts)) {
+    amounts[id] = BigNumber.from(saved[id] || 0);
+  }
+  return amounts;
+}
+
+class EconomyLedger {
+  constructor(saveManager = new SaveManager()) {
+    this.saveManager = saveManager;
+    this.saveManager.register("ledger", this);
+
+    // Single entries from the last RECENT_WINDOW ms, oldest first:
+    // { time, source, amount }. Kept for this session only.
+    this.entries = [];
+
+    // Lifetime amount per source
+    this.totals = createAmounts();
+
+    // Hourly sums for the last BUCKET_COUNT hours, oldest first:
+    // { start, amounts }
+    this.buckets = [];
+
+    this.loadProgress();
+  }
+
+  // Add an amount (always positive; the source says whether it is a credit
+  // or a debit). Zero amounts are skipped.
+  record(source, amount) {
+    const value = BigNumber.from(amount);
+    if (value.isZero()) return;
+
+    const now = getTime();
+    this.entries.push({ time: now, source, amount: value });
+    this.totals[source] = this.totals[source].add(value);
+
+    const bucket = this.getBucket(now);
+    bucket.amounts[source] = bucket.amounts[source].add(value);
+
+    this.prune(now);
+  }
+
+  // Bucket covering a time, created when missing
+  getBucket(time) {
+    const duration = CONFIG.LEDGER.BUCKET_DURATION;
+    const start = time - (time % duration);
+    let bucket = this.buckets.find((b) => b.start === start);
+    if (!bucket) {
+      bucket = { start, amounts: createAmounts() };
+      this.buckets.push(bucket);
+      this.buckets.sort((a, b) => a.start - b.start);
+    }
+    return bucket;
+  }
+
+  // Drop entries and buckets that have aged out
+  prune(now) {
+    const settings = CONFIG.LEDGER;
+    const entriesSince = now - settings.RECENT_WINDOW;
+    while (this.entries.length > 0 && this.entries[0].time <= entriesSince) {
+      this.entries.shift();
+    }
+
+    const bucketsSince = now - settings.BUCKET_DURATION * settings.BUCKET_COUNT;
+    this.buckets = this.buckets.filter((bucket) => bucket.start > bucketsSince);
+  }
+
+  // Amount per source over the last duration ms, or all time when null.
+  // Periods within RECENT_WINDOW are exact; longer ones count whole hours.
+  getTotals(duration = null) {
+    if (duration === null) {
+      return { ...this.totals };
+    }
+
+    const since = getTime() - duration;
+    const amounts = createAmounts();
+    if (duration <= CONFIG.LEDGER.RECENT_WINDOW) {
+      for (const entry of this.entries) {
+        if (entry.time > since) {
+          amounts[entry.source] = amounts[entry.source].add(entry.amount);
+        }
+      }
+    } else {
+      for (const bucket of this.buckets) {
+        if (bucket.start + CONFIG.LEDGER.BUCKET_DURATION <= since) continue;
+        for (const [id, amount] of Object.entries(bucket.amounts)) {
+          amounts[id] = amounts[id].add(amount);
+        }
+      }
+    }
+    return amounts;
+  }
+
+  // Sum of some sources over the last duration ms
+  getTotal(sourceIds, duration = null) {
+    const amounts = this.getTotals(duration);
+    return sourceIds.reduce((sum, id) => sum.add(amounts[id]), BigNumber.ZERO);
+  }
+
+  // Every source over a period (CONFIG.LEDGER.PERIODS id) with its share of
+  // the money earned, plus the money earned, spent and the difference
+  getBreakdown(periodId) {
+    const period =
+      CONFIG.LEDGER.PERIODS.find((p) => p.id === periodId) ||
+      CONFIG.LEDGER.PERIODS[0];
+    const amounts = this.getTotals(period.duration);
+    const sumOf = (kind) =>
+      CONFIG.LEDGER.SOURCES.filter(
+        (source) => source.currency === "money" && source.kind === kind
+      ).reduce((sum, source) => sum.add(amounts[source.id]), BigNumber.ZERO);
+    const income = sumOf("credit");
+    const spending = sumOf("debit");
+
+    const sources = CONFIG.LEDGER.SOURCES.map((source) => {
+      const amount = amounts[source.id];
+      const isIncome = source.currency === "money" && source.kind === "credit";
+      return {
+        ...source,
+        amount,
+        // Percent of the money earned, to one decimal
+        share:
+          isIncome && !income.isZero()
+            ? amount.mul(1000).div(income).toNumber() / 10
+            : null,
+      };
+    });
+
+    return { period, sources, income, spending, net: income.sub(spending) };
+  }
+
+  resetProgress() {
+    this.entries = [];
+    this.totals = createAmounts();
+    this.buckets = [];
+    this.saveManager.save();
+  }
+
+  // Ledger section of the save document
+  getSaveData() {
+    return {
+      totals: amountsToSave(this.totals),
+      buckets: this.buckets.map((bucket) => ({
+        start: bucket.start,
+        amounts: amountsToSave(bucket.amounts),
+      })),
+    };
+  }
+
+  loadProgress() {
+    const data = this.saveManager.getSection("ledger");
+    if (data) {
+      this.totals = amountsFromSave(data.totals);
+      this.buckets = data.buckets.map((bucket) => ({
+        start: bucket.start,
+        amounts: amountsFromSave(bucket.amounts),
+      }));
+      this.prune(getTime());
+    }
+  }
+}
+
+export default EconomyLedger;
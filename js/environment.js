@@ -0,0 +1,77 @@
+// Runtime environment access (URL parameters, storage and game clock)
+// Game logic goes through these helpers instead of touching window,
+// localStorage or Date.now() directly, so it can also run headless in Node.
+
+// Minimal in-memory stand-in for localStorage
+export class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+// Overrides set by configureEnvironment (null = use the browser default)
+const overrides = {
+  search: null,
+  storage: null,
+  clock: null,
+};
+
+// Override the query string, storage backend and/or clock
+export function configureEnvironment({ search, storage, clock } = {}) {
+  if (search !== undefined) overrides.search = search;
+  if (storage !== undefined) overrides.storage = storage;
+  if (clock !== undefined) overrides.clock = clock;
+}
+
+export function isBrowser() {
+  return typeof window !== "undefined" && typeof document !== "undefined";
+}
+
+// Raw query string, e.g. "?debug&world=3"
+export function getQueryString() {
+  if (overrides.search !== null) {
+    return overrides.search;
+  }
+  return isBrowser() ? window.location.search : "";
+}
+
+export function getUrlParams() {
+  return new URLSearchParams(getQueryString());
+}
+
+export function isDebugMode() {
+  return getQueryString().includes("debug");
+}
+
+// localStorage in the browser, in-memory storage everywhere else
+export function getStorage() {
+  if (overrides.storage) {
+    return overrides.storage;
+  }
+  if (typeof localStorage !== "undefined") {
+    return localStorage;
+  }
+  overrides.storage = new MemoryStorage();
+  return overrides.storage;
+}
+
+// Current game time in ms (wall clock unless a simulated clock is set)
+export function getTime() {
+  return overrides.clock ? overrides.clock() : Date.now();
+}
@@ -1,10 +1,12 @@
 // Firing Table Builder - Creates trajectory lookup tables for each world
 import { CONFIG } from "./config.js";
+import { getUrlParams } from "./environment.js";
 
 // Import minimum damage velocity for accurate hit detection
 const MIN_DAMAGE_VELOCITY = 5; // From castle.js handleCollisions method
 
 class FiringTableBuilder {
+  // canvas only needs width/height, so { width, height } works headless
   constructor(canvas, ctx, physics, cannon, worldManager) {
     this.canvas = canvas;
     this.ctx = ctx;
@@ -16,6 +18,7 @@ class FiringTableBuilder {
     this.gridSize = 10; // pixels between dots
     this.dotSize = 2;
     this.dots = [];
+    this.dotRows = 0; // dots per column, for index lookups
     this.hitDots = new Set();
 
     // Build process state
@@ -28,12 +31,14 @@ class FiringTableBuilder {
     this.testFireStartTime = 0;
     this.maxWaitTime = 10000; // 10 seconds max wait per shot
     this.originalNoTargetsTimeout = null; // Store original cannon timeout
+    this.originalSettings = null; // Weather and cannon settings before a build
 
     this.initializeGrid();
   }
 
   initializeGrid() {
     this.dots = [];
+    this.dotRows = Math.ceil(this.canvas.height / this.gridSize);
     for (let x = 0; x < this.canvas.width; x += this.gridSize) {
       for (let y = 0; y < this.canvas.height; y += this.gridSize) {
         this.dots.push({
@@ -52,27 +57,129 @@ class FiringTableBuilder {
     console.log(`Canvas size: ${this.canvas.width}x${this.canvas.height}`);
     console.log(`Grid size: ${this.gridSize}, Total dots: ${this.dots.length}`);
 
-    this.isBuilding = true;
-    this.currentAngle = 0;
-    this.firingTable = {};
+    this.prepareCannon();
 
-    // Store original timeout and disable auto-destroy during build
-    this.originalNoTargetsTimeout = this.cannon.noTargetsTimeout;
-    this.cannon.noTargetsTimeout = Infinity; // Disable timeout
-    console.log(
-      "Disabled cannon auto-destroy timeout during firing table build"
-    );
+    // Shots run over later frames; finishBuilding or cleanup restores the
+    // settings, so only put them back here if starting fails
+    try {
+      // Build for a specific cannonball size level with &size=N
+      const sizeParam = getUrlParams().get("size");
+      if (sizeParam !== null) {
+        this.cannon.upgrades.size = parseInt(sizeParam);
+      }
+      console.log(this.getSizeDescription());
+
+      this.isBuilding = true;
+      this.currentAngle = 0;
+      this.firingTable = {};
 
-    // Initialize firing table structure
+      // Store original timeout and disable auto-destroy during build
+      this.originalNoTargetsTimeout = this.cannon.noTargetsTimeout;
+      this.cannon.noTargetsTimeout = Infinity; // Disable timeout
+      console.log(
+        "Disabled cannon auto-destroy timeout during firing table build"
+      );
+
+      this.initializeTable();
+
+      console.log(`Initialized firing table structure`);
+      await this.testNextAngle();
+    } catch (error) {
+      this.cleanup();
+      throw error;
+    }
+  }
+
+  // Tables are for still air, the world's base muzzle speed and exact aim.
+  // The game corrects table angles for wind and re-solves faster shots.
+  // The previous settings are kept for restoreCannon.
+  prepareCannon() {
+    this.originalSettings = {
+      weather: this.physics.weather,
+      weatherTime: this.physics.weatherTime,
+      speed: this.cannon.upgrades.speed,
+      size: this.cannon.upgrades.size,
+      perfectAim: this.cannon.perfectAim,
+    };
+    this.physics.setWeather(null);
+    this.cannon.upgrades.speed = 0;
+    this.cannon.perfectAim = true;
+  }
+
+  // Put back the weather and cannon settings saved by prepareCannon
+  restoreCannon() {
+    const settings = this.originalSettings;
+    if (!settings) return;
+    this.physics.setWeather(settings.weather);
+    this.physics.weatherTime = settings.weatherTime;
+    this.cannon.upgrades.speed = settings.speed;
+    this.cannon.upgrades.size = settings.size;
+    this.cannon.perfectAim = settings.perfectAim;
+    this.originalSettings = null;
+  }
+
+  initializeTable() {
+    this.firingTable = {};
     for (let x = 0; x < this.canvas.width; x += this.gridSize) {
       this.firingTable[x] = {};
       for (let y = 0; y < this.canvas.height; y += this.gridSize) {
         this.firingTable[x][y] = [];
       }
     }
+  }
+
+  // Build the whole table without rendering, advancing the physics engine
+  // at a fixed timestep instead of waiting for real frames. Returns the
+  // cleaned table. Used by tools/buildFiringTables.mjs.
+  async buildWithFixedTimestep(stepMs = 16.67) {
+    this.isBuilding = true;
+    this.prepareCannon();
+    try {
+      this.initializeTable();
+
+      for (let angle = 0; angle < this.maxAngle; angle++) {
+        this.currentAngle = angle;
+        this.hitDots.clear();
+        this.dots.forEach((dot) => (dot.hit = false));
+
+        this.cannon.angle = (angle * Math.PI) / 180;
+        this.currentCannonball = await this.cannon.fireCannonball(
+          this.cannon.angle,
+          "normal"
+        );
+
+        // Same order as the live build: step physics, then check the shot
+        let elapsed = 0;
+        for (;;) {
+          Matter.Engine.update(this.physics.engine, stepMs);
+          elapsed += stepMs;
+          if (this.isShotFinished(elapsed)) break;
+          this.checkDotCollisions();
+        }
+
+        this.recordHitsForAngle();
+        this.physics.removeBody(this.currentCannonball);
+        this.currentCannonball = null;
+      }
+
+      return this.getCleanTable();
+    } finally {
+      this.isBuilding = false;
+      this.restoreCannon();
+    }
+  }
 
-    console.log(`Initialized firing table structure`);
-    await this.testNextAngle();
+  // Whether the current test shot is over (landed, stopped, lost or timed out)
+  isShotFinished(elapsedMs) {
+    const ball = this.currentCannonball;
+    const ballRadius = ball.circleRadius || 8;
+    const hitGround = ball.position.y + ballRadius >= CONFIG.PHYSICS.GROUND_Y;
+    const isAtRest =
+      Math.abs(ball.velocity.x) < 0.1 && Math.abs(ball.velocity.y) < 0.1;
+    const isOffScreen = ball.position.y > this.canvas.height + 100;
+    const timeExpired = elapsedMs > this.maxWaitTime;
+
+    return hitGround || isAtRest || isOffScreen || timeExpired;
   }
 
   async testNextAngle() {
@@ -152,27 +259,18 @@ class FiringTableBuilder {
     if (!this.isBuilding) return;
 
     if (this.isWaitingForCannonball && this.currentCannonball) {
-      // Check if cannonball hit the ground - account for cannonball radius
-      const ballRadius = this.currentCannonball.circleRadius || 8;
-      const hitGround =
-        this.currentCannonball.position.y + ballRadius >=
-        CONFIG.PHYSICS.GROUND_Y;
-
-      // Check if cannonball has come to rest or fallen off screen
-      const isAtRest =
-        Math.abs(this.currentCannonball.velocity.x) < 0.1 &&
-        Math.abs(this.currentCannonball.velocity.y) < 0.1;
-      const isOffScreen =
-        this.currentCannonball.position.y > this.canvas.height + 100;
-      const timeExpired =
-        Date.now() - this.testFireStartTime > this.maxWaitTime;
-
-      if (hitGround || isAtRest || isOffScreen || timeExpired) {
+      // Check if cannonball landed, came to rest, fell off screen or timed out
+      const elapsed = Date.now() - this.testFireStartTime;
+      if (this.isShotFinished(elapsed)) {
+        const ballRadius = this.currentCannonball.circleRadius || 8;
+        const hitGround =
+          this.currentCannonball.position.y + ballRadius >=
+          CONFIG.PHYSICS.GROUND_Y;
         if (hitGround) {
           console.log(
             `Cannonball hit ground at angle ${this.currentAngle}°, moving to next angle`
           );
-        } else if (timeExpired) {
+        } else if (elapsed > this.maxWaitTime) {
           console.log(
             `Test timeout at angle ${this.currentAngle}°, moving to next angle`
           );
@@ -217,18 +315,36 @@ class FiringTableBuilder {
       return; // Skip collision detection for slow-moving cannonballs
     }
 
-    this.dots.forEach((dot, index) => {
-      if (!dot.hit) {
-        const distance = Math.sqrt(
-          Math.pow(ballX - dot.x, 2) + Math.pow(ballY - dot.y, 2)
-        );
+    // Only dots inside the ball's bounding box can be touched
+    const reach = ballRadius + this.dotSize;
+    const columns = Math.ceil(this.canvas.width / this.gridSize);
+    const minColumn = Math.max(0, Math.ceil((ballX - reach) / this.gridSize));
+    const maxColumn = Math.min(
+      columns - 1,
+      Math.floor((ballX + reach) / this.gridSize)
+    );
+    const minRow = Math.max(0, Math.ceil((ballY - reach) / this.gridSize));
+    const maxRow = Math.min(
+      this.dotRows - 1,
+      Math.floor((ballY + reach) / this.gridSize)
+    );
+
+    for (let column = minColumn; column <= maxColumn; column++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        const index = column * this.dotRows + row;
+        const dot = this.dots[index];
+        if (!dot.hit) {
+          const distance = Math.sqrt(
+            Math.pow(ballX - dot.x, 2) + Math.pow(ballY - dot.y, 2)
+          );
 
-        if (distance <= ballRadius + this.dotSize) {
-          dot.hit = true;
-          this.hitDots.add(index);
+          if (distance <= reach) {
+            dot.hit = true;
+            this.hitDots.add(index);
+          }
         }
       }
-    });
+    }
   }
 
   recordHitsForAngle() {
@@ -254,9 +370,39 @@ class FiringTableBuilder {
 
     // Restore original cannon timeout
     this.cannon.noTargetsTimeout = this.originalNoTargetsTimeout;
+    this.originalNoTargetsTimeout = null;
     console.log("Restored cannon auto-destroy timeout");
 
-    // Clean up the firing table (remove empty entries)
+    try {
+      const cleanTable = this.getCleanTable();
+
+      // Generate the export string (uses the build's size level)
+      const exportString = this.generateExportString(cleanTable);
+
+      // Navigate to results page with the data
+      this.navigateToResultsPage(exportString);
+    } finally {
+      this.restoreCannon();
+    }
+  }
+
+  // Hits depend on the ball radius, so tables are built per size level
+  getSizeLevel() {
+    return this.cannon.upgrades.size;
+  }
+
+  getSizeDescription() {
+    const radius = this.cannon.getBallSize().toFixed(1);
+    return `Cannonball size level ${this.getSizeLevel()} (radius ${radius}px)`;
+  }
+
+  getFileName() {
+    const worldId = this.worldManager.currentWorldId;
+    return `world-${worldId}-size-${this.getSizeLevel()}.js`;
+  }
+
+  // Firing table with empty entries removed
+  getCleanTable() {
     const cleanTable = {};
     for (const x in this.firingTable) {
       for (const y in this.firingTable[x]) {
@@ -266,12 +412,7 @@ class FiringTableBuilder {
         }
       }
     }
-
-    // Generate the export string
-    const exportString = this.generateExportString(cleanTable);
-
-    // Navigate to results page with the data
-    this.navigateToResultsPage(exportString);
+    return cleanTable;
   }
 
   cleanup() {
@@ -281,12 +422,14 @@ class FiringTableBuilder {
       this.originalNoTargetsTimeout = null;
       console.log("Cleaned up firing table builder - restored cannon timeout");
     }
+    this.restoreCannon();
     this.isBuilding = false;
   }
 
   generateExportString(table) {
     const worldId = this.worldManager.currentWorldId;
     let output = `// Firing Table Data for World ${worldId}\n`;
+    output += `// ${this.getSizeDescription()}\n`;
     output += `// Generated on ${new Date().toISOString()}\n`;
     output += `export default {\n`;
 
@@ -323,6 +466,7 @@ class FiringTableBuilder {
     // Store the data in sessionStorage so it persists across page navigation
     sessionStorage.setItem("firingTableData", firingTableData);
     sessionStorage.setItem("worldId", this.worldManager.currentWorldId);
+    sessionStorage.setItem("fileName", this.getFileName());
 
     // Navigate to the results page
     window.location.href = "firing-table-results.html";
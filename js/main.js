@@ -1,6 +1,11 @@
 // Main game class and initialization
 import { CONFIG, GAME_STATES } from "./config.js";
-import { PerformanceMonitor } from "./utils.js";
+import {
+  PerformanceMonitor,
+  SeededRandom,
+  parseSeed,
+  randomSeed,
+} from "./utils.js";
 import Cannon from "./cannon.js";
 import Castle from "./castle.js";
 import PhysicsWorld from "./physics.js";
@@ -10,9 +15,30 @@ import WorldManager from "./worldManager.js";
 import UIManager from "./ui.js";
 import FiringTableBuilder from "./firingTableBuilder.js";
 import PrestigeManager from "./prestige.js";
+import SaveManager from "./saveManager.js";
+import AimCalibration from "./aimCalibration.js";
+import PurchasePlanner from "./purchasePlanner.js";
+import AutoBuyer from "./autoBuyer.js";
+import EconomyLedger from "./economyLedger.js";
+import {
+  calculateOfflineProgress,
+  estimateSecondsPerCastle,
+} from "./offlineProgress.js";
+import {
+  MemoryStorage,
+  configureEnvironment,
+  getTime,
+  getUrlParams,
+  isBrowser,
+  isDebugMode,
+} from "./environment.js";
 
 class Game {
-  constructor() {
+  constructor(options = {}) {
+    // Headless mode: no canvas, UI or requestAnimationFrame, driven by step()
+    this.headless = options.headless || false;
+    this.simulatedTime = Date.now();
+
     this.canvas = null;
     this.ctx = null;
     this.gameState = GAME_STATES.PLAYING;
@@ -23,11 +49,16 @@ class Game {
     this.particles = null;
     this.cannon = null;
     this.castle = null;
+    this.saveManager = null;
     this.upgradeManager = null;
     this.prestigeManager = null;
     this.worldManager = null;
+    this.aimCalibration = null;
+    this.purchasePlanner = null;
+    this.autoBuyer = null;
     this.ui = null;
     this.firingTableBuilder = null;
+    this.nextCastle = null; // Planned while the destroyed castle fades out
 
     // Cannon pause system
     this.cannonPaused = false;
@@ -38,21 +69,65 @@ class Game {
     // Performance monitoring
     this.performanceMonitor = new PerformanceMonitor();
 
+    if (this.headless) {
+      // Simulated clock and in-memory saves unless the caller provides its own
+      configureEnvironment({
+        search: options.search || "",
+        storage: options.storage || new MemoryStorage(),
+        clock: () => this.simulatedTime,
+      });
+    }
+
+    // Seeded randomness: ?seed= reproduces a whole run and ?castleSeed=
+    // rebuilds a specific first castle
+    const urlParams = getUrlParams();
+    this.seed =
+      options.seed !== undefined
+        ? options.seed >>> 0
+        : parseSeed(urlParams.get("seed")) ?? randomSeed();
+    this.firstCastleSeed = parseSeed(urlParams.get("castleSeed"));
+
+    // Separate streams so castle layouts don't depend on how many shots fired
+    const random = new SeededRandom(this.seed);
+    this.castleRandom = random.fork();
+    this.cannonRandom = random.fork();
+
     // Initialize game
     this.init();
   }
 
   init() {
     // Get canvas and context
-    this.canvas = document.getElementById("gameCanvas");
-    this.ctx = this.canvas.getContext("2d");
+    if (!this.headless) {
+      this.canvas = document.getElementById("gameCanvas");
+      this.ctx = this.canvas.getContext("2d");
+    }
 
     // Initialize game systems
     this.physics = new PhysicsWorld();
     this.particles = new ParticleSystem();
-    this.prestigeManager = new PrestigeManager();
-    this.upgradeManager = new UpgradeManager(this.prestigeManager);
-    this.worldManager = new WorldManager();
+    this.saveManager = new SaveManager();
+    this.economyLedger = new EconomyLedger(this.saveManager);
+    this.prestigeManager = new PrestigeManager(
+      this.saveManager,
+      this.economyLedger
+    );
+    this.upgradeManager = new UpgradeManager(
+      this.prestigeManager,
+      this.saveManager,
+      this.economyLedger
+    );
+    this.worldManager = new WorldManager(this.saveManager);
+    this.aimCalibration = new AimCalibration(this.saveManager);
+    this.purchasePlanner = new PurchasePlanner(
+      this.upgradeManager,
+      this.saveManager
+    );
+    this.autoBuyer = new AutoBuyer(
+      this.upgradeManager,
+      this.prestigeManager,
+      this.saveManager
+    );
 
     // Apply world settings immediately
     this.worldManager.applyWorldSettings(this.physics);
@@ -63,22 +138,27 @@ class Game {
       CONFIG.CANNON.Y,
       this.physics,
       this.particles,
-      this.worldManager
+      this.worldManager,
+      this.cannonRandom
     );
 
     // Set prestige manager reference in cannon
     this.cannon.setPrestigeManager(this.prestigeManager);
+    this.cannon.setAimCalibration(this.aimCalibration);
 
     // Only initialize UI if not in build table mode
-    if (!this.worldManager.buildTableMode) {
+    if (!this.headless && !this.worldManager.buildTableMode) {
       this.ui = new UIManager(
         this.upgradeManager,
         this.worldManager,
-        (upgradeType) => this.onUpgradePurchased(upgradeType),
+        (upgradeType, levels) => this.onUpgradePurchased(upgradeType, levels),
         this.cannon,
         this.prestigeManager
       );
       this.ui.setGame(this);
+      this.ui.setPurchasePlanner(this.purchasePlanner);
+      this.ui.setAutoBuyer(this.autoBuyer);
+      this.ui.setEconomyLedger(this.economyLedger);
     }
 
     // Create castle only if not in build table mode
@@ -89,15 +169,18 @@ class Game {
         this.physics,
         this.particles,
         this.prestigeManager,
-        this.upgradeManager
+        this.upgradeManager,
+        this.firstCastleSeed ?? this.castleRandom.nextSeed(),
+        this.worldManager.getCurrentWorld(),
+        this.worldManager.isNextCastleBoss()
       );
 
       // Reset cannon's no-targets timer for initial castle
-      this.cannon.lastTargetsFoundTime = Date.now();
+      this.cannon.lastTargetsFoundTime = getTime();
     }
 
     // Initialize firing table builder if in build mode
-    if (this.worldManager.buildTableMode) {
+    if (!this.headless && this.worldManager.buildTableMode) {
       this.firingTableBuilder = new FiringTableBuilder(
         this.canvas,
         this.ctx,
@@ -108,22 +191,87 @@ class Game {
 
       // Start building immediately
       setTimeout(async () => {
-        await this.firingTableBuilder.startBuilding();
+        try {
+          await this.firingTableBuilder.startBuilding();
+        } catch (error) {
+          // startBuilding has already put the game settings back
+          console.error("Firing table build failed:", error);
+        }
       }, 1000); // Give a second for everything to initialize
     }
 
     // Apply saved upgrades to cannon
     this.applyUpgradesToCannon();
 
+    // Catch up on progress made while the game was closed
+    if (!this.worldManager.buildTableMode) {
+      this.applyOfflineProgress();
+    }
+
     // Start UI update loop only if UI exists
     if (this.ui) {
       this.ui.startUpdateLoop();
     }
 
-    // Start game loop
-    this.gameLoop();
+    // Start game loop (headless games are advanced by the caller via step())
+    if (!this.headless) {
+      this.gameLoop();
+    }
 
-    console.log("Idle Cannon Game Initialized!");
+    console.log(
+      `Idle Cannon Game Initialized${
+        this.headless ? " (headless)" : ""
+      }! Seed: ${this.seed}`
+    );
+  }
+
+  // Estimate and credit what was earned since the previous session saved
+  applyOfflineProgress() {
+    const lastSessionTime = this.saveManager.lastSessionTime;
+    if (!lastSessionTime) return null;
+
+    const prestigeUpgrades = this.prestigeManager.prestigeUpgrades;
+
+    // The player's own pace and rewards, or an estimate from the upgrades
+    // before any castle has been timed
+    const secondsPerCastle =
+      this.upgradeManager.averageSecondsPerCastle ||
+      estimateSecondsPerCastle({
+        fireInterval: this.cannon.getFireRate(),
+        pauseDuration: this.getPauseDuration(),
+        sizeLevel: this.upgradeManager.getUpgradeLevel("size"),
+        doubleShotLevel: prestigeUpgrades.doubleShot,
+      });
+
+    const report = calculateOfflineProgress({
+      elapsedMs: getTime() - lastSessionTime,
+      secondsPerCastle,
+      averageCastleReward: this.upgradeManager.averageCastleReward,
+      streak: this.upgradeManager.castlesDestroyedSinceLastUpgrade,
+      incomeMultiplier: this.prestigeManager.getIncomeMultiplier(),
+      prestigeLevel: this.prestigeManager.prestigeLevel,
+      passiveIncomeLevel: prestigeUpgrades.passiveIncome,
+    });
+    if (!report) return null;
+
+    this.upgradeManager.applyOfflineProgress(report);
+    if (report.gems > 0) {
+      this.prestigeManager.earnGems(report.gems);
+    }
+    if (report.castles > 0) {
+      this.worldManager.onCastleDestroyed(report.castles);
+      this.worldManager.checkWorldCompletion(this.upgradeManager);
+    }
+    this.saveManager.save();
+
+    if (this.ui) {
+      this.ui.showWelcomeBack(report);
+    } else {
+      console.log(
+        `Offline progress: ${report.castles} castles, $${report.money}`
+      );
+    }
+    return report;
   }
 
   applyUpgradesToCannon() {
@@ -150,6 +298,13 @@ class Game {
     requestAnimationFrame((time) => this.gameLoop(time));
   }
 
+  // Advance the simulation by one frame without rendering (headless mode).
+  // Physics always steps 16.67ms per call, so deltaTime should match it.
+  async step(deltaTime = 16.67) {
+    this.simulatedTime += deltaTime;
+    await this.update(deltaTime);
+  }
+
   async update(deltaTime) {
     // Update physics
     this.physics.update();
@@ -176,14 +331,63 @@ class Game {
     // Add smoke trails to active cannonballs
     this.addCannonballTrails();
 
+    // Weather blowing across the sky
+    if (this.physics.weather && !this.headless) {
+      this.particles.createWeatherParticles(
+        this.physics.weather,
+        this.physics.getWind()
+      );
+    }
+
     // Update passive income
     this.upgradeManager.updatePassiveIncome();
+
+    // Buy queued upgrades together once they are affordable
+    this.buyQueuedUpgrades();
+
+    // Let the auto-buyer spend money and move on to the next world
+    this.runAutoBuyer();
+  }
+
+  buyQueuedUpgrades() {
+    const purchases = this.purchasePlanner.update();
+    if (purchases.length === 0) return;
+
+    this.applyUpgradesToCannon();
+
+    if (this.ui) {
+      const bought = purchases.map(
+        ({ type, levels }) =>
+          `${this.upgradeManager.getUpgradeName(type)} x${levels}`
+      );
+      this.ui.updateStats();
+      this.ui.showNotification(`Bought ${bought.join(", ")}`, "success");
+    }
+  }
+
+  runAutoBuyer() {
+    const purchases = this.autoBuyer.update();
+    if (purchases.length > 0) {
+      this.applyUpgradesToCannon();
+      if (this.ui) {
+        this.ui.updateStats();
+      }
+    }
+
+    if (
+      this.autoBuyer.shouldAutoAdvance() &&
+      this.worldManager.canProgressToNextWorld()
+    ) {
+      this.progressToNextWorld();
+      const world = this.worldManager.getCurrentWorld();
+      this.autoBuyer.addLog(`Advanced to World ${world.id}: ${world.name}`);
+    }
   }
 
   async updatePlaying(deltaTime) {
     // Check if cannon pause has expired
     if (this.cannonPaused) {
-      const now = Date.now();
+      const now = getTime();
       if (now - this.pauseStartTime >= this.currentPauseDuration) {
         this.cannonPaused = false;
       }
@@ -207,10 +411,10 @@ class Game {
     }
 
     // Debug logging for timeout status
-    if (window.location.search.includes("debug")) {
+    if (isDebugMode()) {
       const timeSinceLastTargets =
-        Date.now() - this.cannon.lastTargetsFoundTime;
-      const timeSinceLastDamage = Date.now() - this.castle.lastDamageTime;
+        getTime() - this.cannon.lastTargetsFoundTime;
+      const timeSinceLastDamage = getTime() - this.castle.lastDamageTime;
 
       // Log every 2 seconds
       if (
@@ -232,24 +436,32 @@ class Game {
     if (this.castle.isDestroyed && !this.castle.fadingOut) {
       this.gameState = GAME_STATES.CASTLE_DESTROYED;
 
-      // Calculate pause duration with faster reload prestige upgrade
-      let pauseDuration = this.pauseDuration; // Default 10 seconds
-      if (this.prestigeManager) {
-        const fasterReloadLevel =
-          this.prestigeManager.prestigeUpgrades.fasterReload;
-        const reloadReduction = fasterReloadLevel * 1000; // 1 second per level
-        pauseDuration = Math.max(0, pauseDuration - reloadReduction); // Minimum 0 seconds
-      }
+      const pauseDuration = this.getPauseDuration();
 
       // Pause cannon
       this.cannonPaused = true;
-      this.pauseStartTime = Date.now();
+      this.pauseStartTime = getTime();
       this.currentPauseDuration = pauseDuration; // Store the actual pause duration used
 
       // Award money (with streak multiplier)
       const baseReward = this.castle.getReward();
       const finalReward = this.upgradeManager.earnMoney(baseReward);
 
+      if (this.castle.flagCaptured && this.ui) {
+        this.ui.showNotification(
+          `Flag captured! x${CONFIG.FLAG.CAPTURE_MULTIPLIER} reward`,
+          "success"
+        );
+      }
+
+      // Boss castles also pay a gem bonus
+      if (this.castle.isBoss) {
+        this.prestigeManager.earnGems(CONFIG.BOSS.GEM_BONUS);
+        if (this.ui) {
+          this.ui.showNotification("Boss castle destroyed!", "success");
+        }
+      }
+
       // Update world progress
       this.worldManager.onCastleDestroyed();
 
@@ -259,29 +471,80 @@ class Game {
       }
 
       // Show money earned effect
-      const canvasPos = this.ui.getCanvasPosition(
-        this.castle.x,
-        this.castle.y - 100
-      );
-      this.ui.showMoneyEarned(finalReward, canvasPos.x, canvasPos.y);
+      if (this.ui) {
+        const canvasPos = this.ui.getCanvasPosition(
+          this.castle.x,
+          this.castle.y - 100
+        );
+        this.ui.showMoneyEarned(finalReward, canvasPos.x, canvasPos.y);
+      }
+    }
+  }
+
+  // Pause between castles, shortened by the faster reload prestige upgrade
+  getPauseDuration() {
+    let pauseDuration = this.pauseDuration; // Default 10 seconds
+    if (this.prestigeManager) {
+      const fasterReloadLevel =
+        this.prestigeManager.prestigeUpgrades.fasterReload;
+      const reloadReduction = fasterReloadLevel * 1000; // 1 second per level
+      pauseDuration = Math.max(0, pauseDuration - reloadReduction); // Minimum 0 seconds
     }
+    return pauseDuration;
   }
 
   updateCastleDestroyed(deltaTime) {
     // Update castle (for fade out animation)
     this.castle.update(deltaTime);
 
+    // Plan the next castle during the fade-out, a few stability test steps
+    // per frame, so its tests never stall a frame. Start over if the world
+    // changed meanwhile.
+    if (
+      !this.nextCastle ||
+      this.nextCastle.world !== this.worldManager.getCurrentWorld()
+    ) {
+      this.nextCastle = this.planNewCastle();
+    }
+    const isPlanned = this.nextCastle.continuePlanning(
+      CONFIG.CASTLE.STABILITY.STEPS_PER_FRAME
+    );
+
     // Check if fade out is complete
-    if (this.castle.isCompletelyDestroyed()) {
-      // Create new castle immediately (it will drop from sky)
-      this.createNewCastle();
+    if (isPlanned && this.castle.isCompletelyDestroyed()) {
+      // Build the new castle immediately (it will drop from sky)
+      this.spawnCastle(this.nextCastle);
 
       // Return to playing state
       this.gameState = GAME_STATES.PLAYING;
     }
   }
 
+  // Replace the castle at once, planning the new one in a single go
   createNewCastle() {
+    this.spawnCastle(this.planNewCastle());
+  }
+
+  // Next castle for the current world, at original position but high in
+  // the sky. Its layout is planned by continuePlanning or spawnCastle.
+  planNewCastle() {
+    return new Castle(
+      CONFIG.CASTLE.X,
+      CONFIG.CASTLE.Y - 300, // Start 300 pixels above normal position
+      this.physics,
+      this.particles,
+      this.prestigeManager,
+      this.upgradeManager,
+      this.castleRandom.nextSeed(),
+      this.worldManager.getCurrentWorld(),
+      this.worldManager.isNextCastleBoss(),
+      { deferred: true }
+    );
+  }
+
+  spawnCastle(castle) {
+    this.nextCastle = null;
+
     // Clear old castle
     this.castle.clearBlocks();
 
@@ -289,23 +552,20 @@ class Game {
     this.physics.clearAllCannonballs();
 
     // Reset cannon's no-targets timer for new castle
-    this.cannon.lastTargetsFoundTime = Date.now();
+    this.cannon.lastTargetsFoundTime = getTime();
 
-    // Create new castle at original position, but high in the sky
-    this.castle = new Castle(
-      CONFIG.CASTLE.X,
-      CONFIG.CASTLE.Y - 300, // Start 300 pixels above normal position
-      this.physics,
-      this.particles,
-      this.prestigeManager,
-      this.upgradeManager
-    );
+    this.castle = castle;
+    this.castle.build();
+
+    if (this.castle.isBoss && this.ui) {
+      this.ui.showNotification("A boss castle approaches!", "info");
+    }
   }
 
   showWorldCompletionDialog() {
     // Check if we can prestige (completed all worlds)
     if (this.worldManager.canPrestige()) {
-      this.ui.showModal(
+      this.confirmAction(
         "Congratulations!",
         "Congratulations, you control the entire Solar System (in this part of the Multi-verse).\n\nProceed to the next parallel universe and gain one level of Prestige, and unlock all of the cannons.\n\nNow, you will earn gems for destroying castles, which you can spend on permanent prestige upgrades. You won 50 gems. Use them well.",
         "Prestige!",
@@ -316,7 +576,11 @@ class Game {
       return;
     }
 
-    if (!this.worldManager.canProgressToNextWorld()) {
+    // The auto-buyer moves on by itself (see runAutoBuyer)
+    if (
+      !this.worldManager.canProgressToNextWorld() ||
+      this.autoBuyer.shouldAutoAdvance()
+    ) {
       return;
     }
 
@@ -330,7 +594,7 @@ class Game {
     }
 
     // Show progression modal
-    this.ui.showModal(
+    this.confirmAction(
       "Congratulations!",
       `World ${currentWorld.id}: ${currentWorld.name} Complete!`,
       "Proceed to Next Level",
@@ -340,12 +604,22 @@ class Game {
     );
   }
 
+  // Show a confirmation modal, or confirm immediately when there is no UI
+  confirmAction(title, subtitle, buttonText, onConfirm) {
+    if (!this.ui) {
+      onConfirm();
+      return;
+    }
+    this.ui.showModal(title, subtitle, buttonText, onConfirm);
+  }
+
   handlePrestige() {
     // Perform prestige
     this.prestigeManager.prestige();
 
     // Reset upgrades and world progress
     this.upgradeManager.resetForPrestige();
+    this.purchasePlanner.clearQueue();
     this.worldManager.resetToWorld1();
 
     // Apply new world settings
@@ -368,19 +642,23 @@ class Game {
       this.physics
     );
     if (success) {
+      // Queued levels were for the old world's upgrades
+      this.purchasePlanner.clearQueue();
+
       // Apply upgrades to cannon
       this.applyUpgradesToCannon();
 
-      // Update UI
-      this.ui.updateStats();
-      this.ui.updateAllUpgradeCards();
-
-      // Show success message
       const newWorld = this.worldManager.getCurrentWorld();
-      this.ui.showNotification(
-        `Welcome to World ${newWorld.id}: ${newWorld.name}!`,
-        "success"
-      );
+
+      // Update UI and show success message
+      if (this.ui) {
+        this.ui.updateStats();
+        this.ui.updateAllUpgradeCards();
+        this.ui.showNotification(
+          `Welcome to World ${newWorld.id}: ${newWorld.name}!`,
+          "success"
+        );
+      }
 
       console.log(
         `Progressed to World ${newWorld.id}: ${newWorld.name} (Gravity: ${newWorld.gravity})`
@@ -395,9 +673,11 @@ class Game {
     if (this.castle && this.castle.blocks) {
       for (const block of this.castle.blocks) {
         if (!block.isDestroyed && block.body && block.body.position) {
+          const point = block.getTargetPoint();
           targetBricks.push({
-            x: block.body.position.x,
-            y: block.body.position.y,
+            x: point.x,
+            y: point.y,
+            block, // Targeting strategies look at health, flag and stacking
           });
         }
       }
@@ -440,6 +720,12 @@ class Game {
       this.castle.render(this.ctx);
     }
 
+    // Mark the block the cannon is aiming at and the learned aim corrections
+    if (isDebugMode()) {
+      this.aimCalibration.render(this.ctx, this.worldManager.currentWorldId);
+      this.cannon.renderTargetDebug(this.ctx);
+    }
+
     // Render firing table builder if active
     if (this.firingTableBuilder) {
       this.firingTableBuilder.render();
@@ -451,8 +737,16 @@ class Game {
     // Show cannon pause indicator
     this.renderCannonPauseIndicator();
 
+    // Show which way the wind is blowing
+    this.renderWindIndicator();
+
+    // Boss castles show their remaining health
+    if (this.castle && this.castle.isBoss) {
+      this.castle.renderHealthBar(this.ctx);
+    }
+
     // Debug info (optional) - rendered without world offset
-    if (window.location.search.includes("debug")) {
+    if (isDebugMode()) {
       this.renderDebugInfo();
     }
   }
@@ -498,7 +792,7 @@ class Game {
 
   renderCannonPauseIndicator() {
     if (this.cannonPaused) {
-      const now = Date.now();
+      const now = getTime();
       const timeRemaining =
         this.currentPauseDuration - (now - this.pauseStartTime);
       const secondsRemaining = Math.ceil(timeRemaining / 1000);
@@ -540,6 +834,45 @@ class Game {
     }
   }
 
+  // Weather name, an arrow as long as the wind is strong and its strength
+  // in the top right corner. Calm worlds show nothing.
+  renderWindIndicator() {
+    const weather = this.physics.weather;
+    if (!weather) return;
+
+    const wind = this.physics.getWind();
+    const centerX = CONFIG.CANVAS.WIDTH - 80;
+    const centerY = 45;
+    const length = Math.min(60, Math.abs(wind) * 500);
+    const direction = wind < 0 ? -1 : 1;
+
+    this.ctx.save();
+
+    this.ctx.fillStyle = "rgba(0, 0, 0, 0.4)";
+    this.ctx.fillRect(centerX - 70, centerY - 35, 140, 60);
+
+    this.ctx.fillStyle = "white";
+    this.ctx.font = "12px Arial";
+    this.ctx.textAlign = "center";
+    this.ctx.fillText(weather.name, centerX, centerY - 20);
+    this.ctx.fillText(`Wind ${wind.toFixed(3)}g`, centerX, centerY + 20);
+
+    if (length > 1) {
+      const tipX = centerX + (direction * length) / 2;
+      this.ctx.strokeStyle = "white";
+      this.ctx.lineWidth = 3;
+      this.ctx.beginPath();
+      this.ctx.moveTo(centerX - (direction * length) / 2, centerY);
+      this.ctx.lineTo(tipX, centerY);
+      this.ctx.moveTo(tipX - direction * 8, centerY - 6);
+      this.ctx.lineTo(tipX, centerY);
+      this.ctx.lineTo(tipX - direction * 8, centerY + 6);
+      this.ctx.stroke();
+    }
+
+    this.ctx.restore();
+  }
+
   renderDebugInfo() {
     this.ctx.fillStyle = "white";
     this.ctx.font = "12px Arial";
@@ -551,14 +884,47 @@ class Game {
     );
     this.ctx.fillText(`Particles: ${this.particles.particles.length}`, 10, 50);
     this.ctx.fillText(`Game State: ${this.gameState}`, 10, 65);
+    this.ctx.fillText(`Seed: ${this.seed}`, 10, 80);
+    if (this.castle) {
+      this.ctx.fillText(
+        `Castle Seed: ${this.castle.seed}${
+          this.castle.blueprint ? ` (${this.castle.blueprint.name})` : ""
+        }, stability ${Math.round(this.castle.stability * 100)}%`,
+        10,
+        95
+      );
+    }
 
     // Cannon stats
     const stats = this.cannon.getStats();
-    let y = 85;
+    let y = 115;
     for (const [key, value] of Object.entries(stats)) {
       this.ctx.fillText(`${key}: ${value}`, 10, y);
       y += 15;
     }
+
+    // Current target and why the strategy picked it
+    const { selectedTarget, targetReason } = this.cannon.debugInfo;
+    if (targetReason) {
+      const position = selectedTarget
+        ? `(${selectedTarget.x.toFixed(0)}, ${selectedTarget.y.toFixed(0)}) `
+        : "";
+      this.ctx.fillText(`target: ${position}${targetReason}`, 10, y);
+      y += 15;
+    }
+
+    // Learned aim correction for the current target
+    const { aim } = this.cannon.debugInfo;
+    const samples = this.aimCalibration.getSampleCount(
+      this.worldManager.currentWorldId
+    );
+    this.ctx.fillText(
+      `aim calibration: ${samples} shots${
+        aim ? `, offset (${aim.dx.toFixed(1)}, ${aim.dy.toFixed(1)})` : ""
+      }`,
+      10,
+      y
+    );
   }
 
   // Handle window resize
@@ -599,23 +965,32 @@ class Game {
   }
 
   // Handle upgrade purchase from UI
-  onUpgradePurchased(upgradeType) {
+  onUpgradePurchased(upgradeType, levels = 1) {
     // Apply upgrade to cannon
     this.cannon.upgrades[upgradeType] =
       this.upgradeManager.getUpgradeLevel(upgradeType);
 
     // Show feedback
-    this.ui.showNotification(
-      `${this.upgradeManager.getUpgradeName(upgradeType)} upgraded!`,
-      "success"
-    );
+    if (this.ui) {
+      const name = this.upgradeManager.getUpgradeName(upgradeType);
+      this.ui.showNotification(
+        levels > 1 ? `${name} upgraded x${levels}!` : `${name} upgraded!`,
+        "success"
+      );
+    }
   }
 
   // Handle full progress reset
   resetAllProgress() {
+    // Drop the stored save (and any backups) before writing fresh defaults
+    this.saveManager.clear();
     this.upgradeManager.resetProgress();
     this.worldManager.resetProgress();
     this.prestigeManager.resetProgress();
+    this.aimCalibration.resetProgress();
+    this.purchasePlanner.clearQueue();
+    this.autoBuyer.resetProgress();
+    this.economyLedger.resetProgress();
 
     // Apply world settings
     this.worldManager.applyWorldSettings(this.physics);
@@ -625,29 +1000,55 @@ class Game {
 
     console.log("All progress reset!");
   }
+
+  // Replace all progress with a save imported from an export code
+  applyImportedSave(saveData) {
+    this.saveManager.importSaveData(saveData);
+    this.prestigeManager.loadProgress();
+    this.upgradeManager.loadProgress();
+    this.worldManager.loadProgress();
+    this.aimCalibration.loadProgress();
+    this.purchasePlanner.loadProgress();
+    this.autoBuyer.loadProgress();
+    this.economyLedger.loadProgress();
+    if (this.ui) {
+      this.ui.loadSettings();
+    }
+
+    // Bring the running game in line with the imported progress
+    this.applyUpgradesToCannon();
+    this.worldManager.applyWorldSettings(this.physics);
+    this.createNewCastle();
+
+    console.log("Save imported!");
+  }
 }
 
-// Initialize game when page loads
-window.addEventListener("DOMContentLoaded", () => {
-  const game = new Game();
+// Initialize game when page loads (skipped when imported outside a browser)
+if (isBrowser()) {
+  window.addEventListener("DOMContentLoaded", () => {
+    const game = new Game();
 
-  // Handle window resize
-  window.addEventListener("resize", () => {
+    // Handle window resize
+    window.addEventListener("resize", () => {
+      game.handleResize();
+    });
+
+    // Initial resize
     game.handleResize();
-  });
 
-  // Initial resize
-  game.handleResize();
+    // Make game globally accessible for debugging
+    window.game = game;
+  });
 
-  // Make game globally accessible for debugging
-  window.game = game;
-});
+  // Handle visibility change to pause/resume
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+      // Page is hidden, could implement pause logic here
+    } else {
+      // Page is visible again
+    }
+  });
+}
 
-// Handle visibility change to pause/resume
-document.addEventListener("visibilitychange", () => {
-  if (document.hidden) {
-    // Page is hidden, could implement pause logic here
-  } else {
-    // Page is visible again
-  }
-});
+export default Game;
@@ -0,0 +1,119 @@
+// Material registry - physical properties and destruction behaviour of blocks
+import { CONFIG, MATERIALS } from "./config.js";
+
+// Every block material. Physics bodies, damage handling and debris all read
+// from here, so a new material only needs an entry (and a MATERIALS id).
+//
+//   density, friction, restitution  Matter.js body options
+//   health                          hits taken before breaking
+//   color / colorKey                fixed fill, or a themed CONFIG.COLORS key
+//   debrisColor, debrisCount        particles left behind
+//   deflectBelowSpeed               cannonballs slower than this do no damage
+//   onDestroy                       "debris", "shatter" or "explode"
+//   singleCellOnly                  never used for multi-cell pieces
+//   fragile                         health stays the same for multi-cell
+//                                   and reinforced pieces
+const MATERIAL_TYPES = {
+  [MATERIALS.WOOD]: {
+    name: "Wood",
+    density: 0.001,
+    friction: 0.8,
+    restitution: 0.1,
+    health: CONFIG.PHYSICS.WOOD_HEALTH,
+    colorKey: "WOOD",
+    debrisColor: "#8B4513",
+    onDestroy: "debris",
+  },
+  [MATERIALS.STONE]: {
+    name: "Stone",
+    density: 0.002,
+    friction: 0.8,
+    restitution: 0.1,
+    health: CONFIG.PHYSICS.STONE_HEALTH,
+    colorKey: "STONE",
+    debrisColor: "#708090",
+    onDestroy: "debris",
+  },
+  [MATERIALS.GLASS]: {
+    name: "Glass",
+    density: 0.0015,
+    friction: 0.4,
+    restitution: 0.05,
+    health: 1, // Shatters on the first hit
+    fragile: true, // Even as a beam or reinforced
+    color: "rgba(173, 216, 230, 0.7)",
+    debrisColor: "#E0FFFF",
+    debrisCount: 16,
+    onDestroy: "shatter",
+  },
+  [MATERIALS.IRON]: {
+    name: "Iron",
+    density: 0.004,
+    friction: 0.6,
+    restitution: 0.2,
+    health: 12,
+    color: "#4A4A4A",
+    debrisColor: "#2F2F2F",
+    deflectBelowSpeed: 12,
+    onDestroy: "debris",
+  },
+  [MATERIALS.ICE]: {
+    name: "Ice",
+    density: 0.0009,
+    friction: 0.02, // Stacks slide apart easily
+    restitution: 0.05,
+    health: 3,
+    color: "#BFEFFF",
+    debrisColor: "#F0FFFF",
+    debrisCount: 12,
+    onDestroy: "shatter",
+  },
+  [MATERIALS.EXPLOSIVE]: {
+    name: "Explosive Barrel",
+    density: 0.0012,
+    friction: 0.7,
+    restitution: 0.1,
+    health: 2,
+    color: "#B22222",
+    debrisColor: "#FF8C00",
+    onDestroy: "explode",
+    singleCellOnly: true, // Barrels, not explosive beams
+    explosionRadius: 70,
+    explosionDamage: 4,
+  },
+  [MATERIALS.RUBBER]: {
+    name: "Rubber",
+    density: 0.0011,
+    friction: 0.9,
+    restitution: 0.9, // Matter.js uses the bouncier body, so balls bounce off
+    health: 6,
+    color: "#2E8B57",
+    debrisColor: "#3CB371",
+    onDestroy: "debris",
+  },
+};
+
+export function getMaterial(material) {
+  return MATERIAL_TYPES[material] || MATERIAL_TYPES[MATERIALS.STONE];
+}
+
+// Fill colour for a material, following the world theme for wood and stone
+export function getMaterialColor(material) {
+  const type = getMaterial(material);
+  return type.colorKey ? CONFIG.COLORS[type.colorKey] : type.color;
+}
+
+// Pick a block material from weights like CONFIG.CASTLE.MATERIAL_WEIGHTS
+export function pickMaterial(weights, rng) {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+  let random = rng.next() * totalWeight;
+  for (const [material, weight] of entries) {
+    random -= weight;
+    if (random < 0) {
+      return material;
+    }
+  }
+  return entries[entries.length - 1][0];
+}
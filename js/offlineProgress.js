@@ -0,0 +1,84 @@
+// Offline progress estimate - what the cannon would have done while away
+import { CONFIG } from "./config.js";
+import { getUpgradeEffect } from "./upgradeRegistry.js";
+import BigNumber from "./bigNumber.js";
+
+// Average seconds the cannon needs to bring down one castle, from its
+// upgrades. Used until the player's own castles have been timed.
+export function estimateSecondsPerCastle({
+  fireInterval,
+  pauseDuration,
+  sizeLevel = 0,
+  doubleShotLevel = 0,
+}) {
+  const offline = CONFIG.OFFLINE;
+
+  // Bigger cannonballs and extra double shots both mean fewer volleys
+  const sizeFactor = 1 + getUpgradeEffect("size", sizeLevel);
+  const doubleShotFactor = 1 + Math.min(1, doubleShotLevel * 0.1);
+  const volleys = offline.SHOTS_PER_CASTLE / (sizeFactor * doubleShotFactor);
+
+  const castleMs =
+    volleys * fireInterval + pauseDuration + offline.CASTLE_OVERHEAD_MS;
+  return castleMs / 1000;
+}
+
+// Simulate castle by castle so the streak multiplier grows as it would
+// online. secondsPerCastle and averageCastleReward should be what the player
+// has been getting. Returns null when the player was not away long enough.
+export function calculateOfflineProgress({
+  elapsedMs,
+  secondsPerCastle,
+  averageCastleReward = CONFIG.OFFLINE.AVERAGE_CASTLE_REWARD,
+  streak = 0,
+  incomeMultiplier = 1,
+  prestigeLevel = 0,
+  passiveIncomeLevel = 0,
+}) {
+  const offline = CONFIG.OFFLINE;
+  if (!(elapsedMs >= offline.MIN_MINUTES * 60 * 1000)) {
+    return null;
+  }
+
+  const maxMs = offline.MAX_HOURS * 60 * 60 * 1000;
+  const seconds = Math.min(elapsedMs, maxMs) / 1000;
+
+  const castles = Math.floor(
+    (seconds / secondsPerCastle) * offline.EFFICIENCY
+  );
+
+  // Same reward rules as UpgradeManager.earnMoney
+  let castleMoney = BigNumber.ZERO;
+  let currentStreak = streak;
+  for (let i = 0; i < castles; i++) {
+    const streakMultiplier = Math.min(
+      currentStreak || 1,
+      CONFIG.MONEY.MAX_STREAK_MULTIPLIER
+    );
+    castleMoney = castleMoney.add(
+      averageCastleReward * streakMultiplier * incomeMultiplier
+    );
+    currentStreak++;
+  }
+
+  // Passive income pays $1 per second per level, at full rate
+  const passiveMoney = passiveIncomeLevel * Math.floor(seconds);
+
+  // Gems are only earned after the first prestige
+  const gems = prestigeLevel > 0 ? castles * CONFIG.PRESTIGE.GEM_PER_CASTLE : 0;
+
+  return {
+    seconds,
+    wasCapped: elapsedMs > maxMs,
+    secondsPerCastle,
+    castles,
+    castleMoney,
+    passiveMoney,
+    money: castleMoney.add(passiveMoney),
+    gems,
+    streakMultiplier: Math.min(
+      currentStreak || 1,
+      CONFIG.MONEY.MAX_STREAK_MULTIPLIER
+    ),
+  };
+}
@@ -1,6 +1,30 @@
 // Particle Effects System
+import { CONFIG } from './config.js';
 import { ObjectPool, randomFloat, randomChoice } from './utils.js';
-import { MATERIALS } from './config.js';
+import { getMaterial } from './materials.js';
+
+// Looks for a world's weather particles: chance of a new one each frame,
+// colour and size
+const WEATHER_STYLES = {
+  dust: {
+    rate: 0.6,
+    color: 'rgba(160, 82, 45, 0.6)',
+    minSize: 1.5,
+    maxSize: 3,
+  },
+  haze: {
+    rate: 0.15,
+    color: 'rgba(255, 215, 0, 0.15)',
+    minSize: 6,
+    maxSize: 12,
+  },
+  wind: {
+    rate: 0.3,
+    color: 'rgba(255, 255, 255, 0.5)',
+    minSize: 1,
+    maxSize: 2,
+  },
+};
 
 class Particle {
   constructor(x, y, vx, vy, life, color, size = 2) {
@@ -53,6 +77,15 @@ class ParticleSystem {
         particle.life = 1000;
       }
     );
+
+    // Effects waiting to go off: { delay, create }, delay in ms
+    this.scheduled = [];
+  }
+
+  // Run an effect after delay ms of game time. Scheduled effects follow
+  // update, so they need no real timers and are dropped by clear.
+  schedule(delay, create) {
+    this.scheduled.push({ delay, create });
   }
 
   // Muzzle flash effect
@@ -84,16 +117,23 @@ class ParticleSystem {
   }
 
   // Block destruction debris
-  createDebris(x, y, material, count = 8) {
-    const baseColor = material === MATERIALS.WOOD ? '#8B4513' : '#708090';
+  createDebris(x, y, material, count = null) {
+    const type = getMaterial(material);
+    const baseColor = type.debrisColor;
+    const particleCount = count ?? type.debrisCount ?? 8;
+
+    // Shattering materials throw smaller, faster shards
+    const shatters = type.onDestroy === 'shatter';
+    const minSpeed = shatters ? 150 : 100;
+    const maxSpeed = shatters ? 300 : 200;
 
-    for (let i = 0; i < count; i++) {
+    for (let i = 0; i < particleCount; i++) {
       const angle = Math.random() * Math.PI * 2;
-      const speed = randomFloat(100, 200);
+      const speed = randomFloat(minSpeed, maxSpeed);
       const vx = Math.cos(angle) * speed;
       const vy = Math.sin(angle) * speed - randomFloat(50, 100);
       const life = randomFloat(800, 1200);
-      const size = randomFloat(2, 4);
+      const size = shatters ? randomFloat(1, 2.5) : randomFloat(2, 4);
 
       this.addParticle(x, y, vx, vy, life, baseColor, size);
     }
@@ -124,7 +164,7 @@ class ParticleSystem {
     }
 
     // Secondary sparkles
-    setTimeout(() => {
+    this.schedule(300, () => {
       for (let i = 0; i < 15; i++) {
         const offsetX = randomFloat(-50, 50);
         const offsetY = randomFloat(-50, 50);
@@ -138,7 +178,76 @@ class ParticleSystem {
 
         this.addParticle(x + offsetX, y + offsetY, vx, vy, life, color, size);
       }
-    }, 300);
+    });
+  }
+
+  // Flag capture: the pennant bursts into red and white streamers with a
+  // ring of gold stars rising from it
+  createFlagCapture(x, y) {
+    const flagColors = ['#FF0000', '#CC0000', '#FFFFFF'];
+
+    for (let i = 0; i < 30; i++) {
+      const angle = randomFloat(-Math.PI, 0); // Upwards
+      const speed = randomFloat(60, 140);
+      const vx = Math.cos(angle) * speed;
+      const vy = Math.sin(angle) * speed;
+      const life = randomFloat(700, 1200);
+      const size = randomFloat(2, 4);
+
+      this.addParticle(x, y, vx, vy, life, randomChoice(flagColors), size);
+    }
+
+    for (let i = 0; i < 12; i++) {
+      const angle = (Math.PI * 2 * i) / 12;
+      const vx = Math.cos(angle) * 40;
+      const vy = Math.sin(angle) * 40 - 60; // Drift up
+      this.addParticle(x, y, vx, vy, 1500, '#FFD700', 3);
+    }
+  }
+
+  // Boss castle celebration: a gold shockwave, a volley of fireworks and a
+  // shower of coins
+  createBossCelebration(x, y) {
+    const goldColors = ['#FFD700', '#FFC107', '#FFEC8B', '#DAA520'];
+
+    // Gold shockwave ring
+    for (let i = 0; i < 60; i++) {
+      const angle = (Math.PI * 2 * i) / 60;
+      const speed = randomFloat(180, 220);
+      const vx = Math.cos(angle) * speed;
+      const vy = Math.sin(angle) * speed;
+      const life = randomFloat(800, 1200);
+
+      this.addParticle(x, y, vx, vy, life, randomChoice(goldColors), 4);
+    }
+
+    // Fireworks across the sky
+    for (let i = 0; i < 5; i++) {
+      this.schedule(250 * i, () => {
+        this.createFireworks(
+          x + randomFloat(-200, 200),
+          y - randomFloat(0, 150)
+        );
+      });
+    }
+
+    // Coins raining down
+    for (let i = 0; i < 40; i++) {
+      const vx = randomFloat(-20, 20);
+      const vy = randomFloat(40, 120);
+      const life = randomFloat(1500, 2500);
+      const size = randomFloat(3, 5);
+
+      this.addParticle(
+        x + randomFloat(-250, 250),
+        y - randomFloat(100, 250),
+        vx,
+        vy,
+        life,
+        randomChoice(goldColors),
+        size
+      );
+    }
   }
 
   // Fireball explosion effect
@@ -172,7 +281,32 @@ class ParticleSystem {
     }
   }
 
-  addParticle(x, y, vx, vy, life, color, size = 2) {
+  // Specks blown across the sky from the upwind edge, faster in stronger
+  // wind. They float instead of falling.
+  createWeatherParticles(weather, wind) {
+    const style = WEATHER_STYLES[weather.particles];
+    if (!style || Math.random() > style.rate) return;
+
+    const direction = wind < 0 ? -1 : 1;
+    const speed = (0.05 + Math.abs(wind) * 4) * randomFloat(0.8, 1.2);
+    const x = direction > 0 ? 0 : CONFIG.CANVAS.WIDTH;
+    const y = randomFloat(0, CONFIG.PHYSICS.GROUND_Y);
+    const life = CONFIG.CANVAS.WIDTH / speed;
+    const size = randomFloat(style.minSize, style.maxSize);
+
+    this.addParticle(
+      x,
+      y,
+      direction * speed,
+      randomFloat(-0.01, 0.01),
+      life,
+      style.color,
+      size,
+      0
+    );
+  }
+
+  addParticle(x, y, vx, vy, life, color, size = 2, gravity = 0.1) {
     const particle = this.particlePool.get();
     particle.x = x;
     particle.y = y;
@@ -182,6 +316,7 @@ class ParticleSystem {
     particle.maxLife = life;
     particle.color = color;
     particle.size = size;
+    particle.gravity = gravity;
     particle.active = true;
 
     this.particles.push(particle);
@@ -197,6 +332,14 @@ class ParticleSystem {
         this.particlePool.release(particle);
       }
     }
+
+    // Effects may schedule more, so take the due ones out first
+    for (const effect of this.scheduled) {
+      effect.delay -= deltaTime;
+    }
+    const due = this.scheduled.filter((effect) => effect.delay <= 0);
+    this.scheduled = this.scheduled.filter((effect) => effect.delay > 0);
+    due.forEach((effect) => effect.create());
   }
 
   render(ctx) {
@@ -210,6 +353,7 @@ class ParticleSystem {
       this.particlePool.release(particle);
     }
     this.particles = [];
+    this.scheduled = [];
   }
 }
 
@@ -1,5 +1,7 @@
 // Physics wrapper and helpers using Matter.js
-import { CONFIG, MATERIALS } from './config.js';
+import { CONFIG } from './config.js';
+import { getTime } from './environment.js';
+import { getMaterial, getMaterialColor } from './materials.js';
 
 class PhysicsWorld {
   constructor() {
@@ -16,6 +18,31 @@ class PhysicsWorld {
     // Track bodies for cleanup
     this.cannonballs = [];
     this.blocks = [];
+
+    // Current world's weather (null is still air) and how long it has blown
+    this.weather = null;
+    this.weatherTime = 0;
+  }
+
+  setWeather(weather) {
+    this.weather = weather;
+    this.weatherTime = 0;
+  }
+
+  // Sideways wind in units of Earth gravity, positive blowing right. Gusts
+  // are two sine waves so they don't repeat too obviously.
+  getWind() {
+    if (!this.weather) return 0;
+    const { wind = 0, gust = 0, gustPeriod = 1 } = this.weather;
+    const phase = (2 * Math.PI * this.weatherTime) / gustPeriod;
+    return (
+      wind + gust * (0.7 * Math.sin(phase) + 0.3 * Math.sin(phase * 2.3))
+    );
+  }
+
+  // Air friction the atmosphere adds to cannonballs
+  getAirDrag() {
+    return this.weather ? this.weather.drag || 0 : 0;
   }
 
   createGround() {
@@ -37,7 +64,7 @@ class PhysicsWorld {
       density: mass / (Math.PI * radius * radius),
       restitution: 0.3,
       friction: 0.5,
-      frictionAir: 0.01,
+      frictionAir: CONFIG.PHYSICS.CANNONBALL_FRICTION_AIR + this.getAirDrag(),
       frictionStatic: 0.5,
       render: { fillStyle: CONFIG.COLORS.CANNONBALL },
       label: 'cannonball',
@@ -50,31 +77,39 @@ class PhysicsWorld {
     Matter.World.add(this.world, cannonball);
     this.cannonballs.push({
       body: cannonball,
-      createdAt: Date.now(),
+      createdAt: getTime(),
     });
 
     return cannonball;
   }
 
-  createBlock(x, y, width, height, material, shape = 'square') {
-    const isWood = material === MATERIALS.WOOD;
-
-    // Only create rectangles since we're only using squares
-    const block = Matter.Bodies.rectangle(x, y, width, height, {
-      density: isWood ? 0.001 : 0.002,
-      restitution: 0.1,
-      friction: 0.8,
+  // Matter.js body options for a block of the given material
+  getBlockOptions(material) {
+    const type = getMaterial(material);
+    return {
+      density: type.density,
+      restitution: type.restitution,
+      friction: type.friction,
       render: {
-        fillStyle: isWood ? CONFIG.COLORS.WOOD : CONFIG.COLORS.STONE,
+        fillStyle: getMaterialColor(material),
       },
-    });
+    };
+  }
+
+  createBlock(x, y, width, height, material, shape = 'square') {
+    // Only create rectangles since we're only using squares
+    const block = Matter.Bodies.rectangle(
+      x,
+      y,
+      width,
+      height,
+      this.getBlockOptions(material)
+    );
 
     // Add custom properties
     block.material = material;
     block.shape = shape;
-    block.health = isWood
-      ? CONFIG.PHYSICS.WOOD_HEALTH
-      : CONFIG.PHYSICS.STONE_HEALTH;
+    block.health = getMaterial(material).health;
     block.maxHealth = block.health;
 
     // Add to world and track
@@ -85,7 +120,6 @@ class PhysicsWorld {
   }
 
   createCompoundBlock(x, y, blockPositions, material, shape) {
-    const isWood = material === MATERIALS.WOOD;
     const blockSize = CONFIG.PHYSICS.BLOCK_SIZE;
 
     // Create individual rectangles for each block position
@@ -93,27 +127,28 @@ class PhysicsWorld {
       const blockX = x + pos.x * blockSize;
       const blockY = y + pos.y * blockSize;
 
-      return Matter.Bodies.rectangle(blockX, blockY, blockSize, blockSize, {
-        density: isWood ? 0.001 : 0.002,
-        restitution: 0.1,
-        friction: 0.8,
-        render: {
-          fillStyle: isWood ? CONFIG.COLORS.WOOD : CONFIG.COLORS.STONE,
-        },
-      });
+      return Matter.Bodies.rectangle(
+        blockX,
+        blockY,
+        blockSize,
+        blockSize,
+        this.getBlockOptions(material)
+      );
     });
 
-    // Create compound body from the individual rectangles
+    // Create compound body from the individual rectangles. Contacts use the
+    // parent's friction and restitution, so it gets the material options too.
     const compoundBody = Matter.Body.create({
+      ...this.getBlockOptions(material),
       parts: bodies,
     });
 
     // Add custom properties
     compoundBody.material = material;
     compoundBody.shape = shape;
-    compoundBody.health = isWood
-      ? CONFIG.PHYSICS.WOOD_HEALTH * blockPositions.length // More health for bigger shapes
-      : CONFIG.PHYSICS.STONE_HEALTH * blockPositions.length;
+    // More health for bigger shapes, except for fragile materials
+    const { health, fragile } = getMaterial(material);
+    compoundBody.health = fragile ? health : health * blockPositions.length;
     compoundBody.maxHealth = compoundBody.health;
 
     // Add to world and track
@@ -124,15 +159,29 @@ class PhysicsWorld {
   }
 
   update() {
+    // Wind pushes cannonballs the way gravity pulls them, so its strength
+    // is in the same units
+    const wind = this.getWind();
+    if (wind !== 0) {
+      const scale = this.engine.world.gravity.scale;
+      for (const cb of this.cannonballs) {
+        Matter.Body.applyForce(cb.body, cb.body.position, {
+          x: cb.body.mass * wind * scale,
+          y: 0,
+        });
+      }
+    }
+
     // Update physics engine
     Matter.Engine.update(this.engine, 16.67); // 60 FPS
+    this.weatherTime += 16.67;
 
     // Clean up old cannonballs that are off-screen or too old
     this.cleanupCannonballs();
   }
 
   cleanupCannonballs() {
-    const now = Date.now();
+    const now = getTime();
     const maxAge = 10000; // 10 seconds
     const minVelocity = 0.5; // Velocity threshold to consider "stopped"
 
@@ -213,10 +262,16 @@ class PhysicsWorld {
     return collisions;
   }
 
+  // Bounding box overlap, part by part so the gap under an arch is empty
   areColliding(bodyA, bodyB) {
-    const bounds1 = bodyA.bounds;
-    const bounds2 = bodyB.bounds;
+    return this.getParts(bodyA).some((partA) =>
+      this.getParts(bodyB).some((partB) =>
+        this.boundsOverlap(partA.bounds, partB.bounds)
+      )
+    );
+  }
 
+  boundsOverlap(bounds1, bounds2) {
     return !(
       bounds1.max.x < bounds2.min.x ||
       bounds1.min.x > bounds2.max.x ||
@@ -225,6 +280,11 @@ class PhysicsWorld {
     );
   }
 
+  // A compound body's parts[0] is the hull around the real parts
+  getParts(body) {
+    return body.parts.length > 1 ? body.parts.slice(1) : body.parts;
+  }
+
   // Find all blocks within a certain radius of a point (for fireball explosions)
   getBlocksInRadius(centerX, centerY, radius) {
     const blocksInRadius = [];
@@ -305,32 +365,31 @@ class PhysicsWorld {
     for (const body of bodies) {
       ctx.save();
 
-      // Translate and rotate
-      ctx.translate(body.position.x, body.position.y);
-      ctx.rotate(body.angle);
-
       // Set fill style
       ctx.fillStyle = body.render.fillStyle || '#888';
 
       // Draw based on body type
       if (body.label === 'Circle Body') {
         ctx.beginPath();
-        ctx.arc(0, 0, body.circleRadius, 0, Math.PI * 2);
+        ctx.arc(
+          body.position.x,
+          body.position.y,
+          body.circleRadius,
+          0,
+          Math.PI * 2
+        );
         ctx.fill();
       } else {
-        // Rectangle
-        const vertices = body.vertices;
-        if (vertices.length > 0) {
+        // Polygons: vertices are already in world space, and compound
+        // blocks draw each part so the cell seams stay visible
+        for (const part of this.getParts(body)) {
+          const vertices = part.vertices;
+          if (vertices.length === 0) continue;
+
           ctx.beginPath();
-          ctx.moveTo(
-            vertices[0].x - body.position.x,
-            vertices[0].y - body.position.y
-          );
+          ctx.moveTo(vertices[0].x, vertices[0].y);
           for (let i = 1; i < vertices.length; i++) {
-            ctx.lineTo(
-              vertices[i].x - body.position.x,
-              vertices[i].y - body.position.y
-            );
+            ctx.lineTo(vertices[i].x, vertices[i].y);
           }
           ctx.closePath();
           ctx.fill();
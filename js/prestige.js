@@ -1,13 +1,27 @@
 // Prestige system management
 import { CONFIG } from "./config.js";
 import { formatNumber } from "./utils.js";
+import { getUrlParams } from "./environment.js";
+import SaveManager from "./saveManager.js";
+import BigNumber from "./bigNumber.js";
+import EconomyLedger from "./economyLedger.js";
 
 class PrestigeManager {
-  constructor() {
+  constructor(
+    saveManager = new SaveManager(),
+    ledger = new EconomyLedger(saveManager)
+  ) {
+    this.saveManager = saveManager;
+    this.saveManager.register("prestige", this);
+    this.ledger = ledger;
+
     this.prestigeLevel = 0;
-    this.gems = 0;
+    this.gems = BigNumber.ZERO;
     this.selectedCannonId = 0; // Default to medieval cannon
 
+    // Targeting strategy chosen for each cannon (cannon id -> strategy id)
+    this.targetingStrategies = {};
+
     // Prestige upgrades levels
     this.prestigeUpgrades = {
       doubleShot: 0,
@@ -16,6 +30,8 @@ class PrestigeManager {
       fireballs: 0,
       betterCastles: 0,
       passiveIncome: 0,
+      smartTargeting: 0,
+      autoBuyer: 0,
     };
 
     // Load saved data if available
@@ -26,7 +42,7 @@ class PrestigeManager {
   }
 
   checkGodMode() {
-    const urlParams = new URLSearchParams(window.location.search);
+    const urlParams = getUrlParams();
 
     // Check for prestige parameter
     const prestigeParam = urlParams.get("prestige");
@@ -43,7 +59,7 @@ class PrestigeManager {
     if (gemsParam) {
       const startingGems = parseInt(gemsParam, 10);
       if (!isNaN(startingGems) && startingGems >= 0) {
-        this.gems = startingGems;
+        this.gems = BigNumber.from(startingGems);
         console.log(`Starting with gems: ${formatNumber(startingGems)}`);
       }
     }
@@ -58,7 +74,7 @@ class PrestigeManager {
 
     // Award gems - 50 for first prestige, then 1 per castle destroyed going forward
     if (this.prestigeLevel === 1) {
-      this.gems += CONFIG.PRESTIGE.BASE_GEM_REWARD;
+      this.gems = this.gems.add(CONFIG.PRESTIGE.BASE_GEM_REWARD);
     }
 
     this.saveProgress();
@@ -68,22 +84,21 @@ class PrestigeManager {
   earnGems(amount = CONFIG.PRESTIGE.GEM_PER_CASTLE) {
     // Only earn gems after first prestige
     if (this.prestigeLevel > 0) {
-      this.gems += amount;
+      this.gems = this.gems.add(amount);
       this.saveProgress();
     }
   }
 
   getPrestigeUpgradeCost(upgradeType) {
     const currentLevel = this.prestigeUpgrades[upgradeType];
-    return (
-      CONFIG.PRESTIGE.UPGRADE_BASE_COST *
+    return BigNumber.from(CONFIG.PRESTIGE.UPGRADE_BASE_COST).mul(
       Math.pow(CONFIG.PRESTIGE.UPGRADE_COST_MULTIPLIER, currentLevel)
     );
   }
 
   canAffordPrestigeUpgrade(upgradeType) {
     return (
-      this.gems >= this.getPrestigeUpgradeCost(upgradeType) &&
+      this.gems.gte(this.getPrestigeUpgradeCost(upgradeType)) &&
       !this.isPrestigeUpgradeMaxed(upgradeType)
     );
   }
@@ -102,8 +117,9 @@ class PrestigeManager {
     }
 
     const cost = this.getPrestigeUpgradeCost(upgradeType);
-    this.gems -= cost;
+    this.gems = this.gems.sub(cost);
     this.prestigeUpgrades[upgradeType]++;
+    this.ledger.record("prestigePurchase", cost);
 
     this.saveProgress();
     return true;
@@ -143,11 +159,43 @@ class PrestigeManager {
     );
   }
 
+  // Strategies unlocked by the Smart Targeting upgrade, in unlock order
+  getUnlockedTargetingStrategies() {
+    return CONFIG.TARGETING.STRATEGIES.filter(
+      (strategy) =>
+        strategy.unlockLevel <= this.prestigeUpgrades.smartTargeting
+    );
+  }
+
+  isTargetingStrategyUnlocked(strategyId) {
+    return this.getUnlockedTargetingStrategies().some(
+      (strategy) => strategy.id === strategyId
+    );
+  }
+
+  getTargetingStrategy(cannonId = this.selectedCannonId) {
+    const strategyId = this.targetingStrategies[cannonId];
+    return this.isTargetingStrategyUnlocked(strategyId)
+      ? strategyId
+      : CONFIG.TARGETING.DEFAULT_STRATEGY;
+  }
+
+  selectTargetingStrategy(strategyId, cannonId = this.selectedCannonId) {
+    if (this.isTargetingStrategyUnlocked(strategyId)) {
+      this.targetingStrategies[cannonId] = strategyId;
+      this.saveProgress();
+      return true;
+    }
+    return false;
+  }
+
   getPrestigeUpgradeInfo(upgradeType) {
     const level = this.prestigeUpgrades[upgradeType];
     const levelCap = CONFIG.PRESTIGE.UPGRADE_LEVEL_CAPS[upgradeType];
     const isMaxed = this.isPrestigeUpgradeMaxed(upgradeType);
-    const cost = isMaxed ? 0 : this.getPrestigeUpgradeCost(upgradeType);
+    const cost = isMaxed
+      ? BigNumber.ZERO
+      : this.getPrestigeUpgradeCost(upgradeType);
     const canAfford = this.canAffordPrestigeUpgrade(upgradeType);
     const upgradeConfig = CONFIG.PRESTIGE.UPGRADES[upgradeType];
 
@@ -181,57 +229,47 @@ class PrestigeManager {
       fireballs: 0,
       betterCastles: 0,
       passiveIncome: 0,
+      smartTargeting: 0,
+      autoBuyer: 0,
     };
   }
 
   resetProgress() {
     this.prestigeLevel = 0;
-    this.gems = 0;
+    this.gems = BigNumber.ZERO;
     this.selectedCannonId = 0;
+    this.targetingStrategies = {};
     this.resetPrestigeUpgrades();
-
-    try {
-      localStorage.removeItem("idleCannon_prestige");
-    } catch (e) {
-      console.warn("Failed to clear prestige save data:", e);
-    }
+    this.saveProgress();
   }
 
-  saveProgress() {
-    const saveData = {
+  // Prestige section of the save document
+  getSaveData() {
+    return {
       prestigeLevel: this.prestigeLevel,
-      gems: this.gems,
+      gems: this.gems.toString(),
       selectedCannonId: this.selectedCannonId,
-      prestigeUpgrades: this.prestigeUpgrades,
-      timestamp: Date.now(),
+      targetingStrategies: { ...this.targetingStrategies },
+      prestigeUpgrades: { ...this.prestigeUpgrades },
     };
+  }
 
-    try {
-      localStorage.setItem("idleCannon_prestige", JSON.stringify(saveData));
-    } catch (e) {
-      console.warn("Failed to save prestige progress:", e);
-    }
+  saveProgress() {
+    this.saveManager.save();
   }
 
   loadProgress() {
-    try {
-      const saveData = localStorage.getItem("idleCannon_prestige");
-      if (saveData) {
-        const data = JSON.parse(saveData);
-        this.prestigeLevel = data.prestigeLevel || 0;
-        this.gems = data.gems || 0;
-        this.selectedCannonId = data.selectedCannonId || 0;
-        this.prestigeUpgrades = {
-          doubleShot: data.prestigeUpgrades.doubleShot || 0,
-          fasterReload: data.prestigeUpgrades.fasterReload || 0,
-          blastShot: data.prestigeUpgrades.blastShot || 0,
-          fireballs: data.prestigeUpgrades.fireballs || 0,
-          betterCastles: data.prestigeUpgrades.betterCastles || 0,
-          passiveIncome: data.prestigeUpgrades.passiveIncome || 0,
-        };
-      }
-    } catch (e) {
-      console.warn("Failed to load prestige progress:", e);
+    // Fields are validated (and missing upgrades filled in) by SaveManager
+    const data = this.saveManager.getSection("prestige");
+    if (data) {
+      this.prestigeLevel = data.prestigeLevel;
+      this.gems = BigNumber.from(data.gems);
+      this.selectedCannonId = data.selectedCannonId;
+      this.targetingStrategies = { ...data.targetingStrategies };
+      this.prestigeUpgrades = {
+        ...this.prestigeUpgrades,
+        ...data.prestigeUpgrades,
+      };
     }
   }
 
@@ -0,0 +1,177 @@
+// Purchase planner - streak-aware buying advice and a queue of upgrades
+import { CONFIG } from "./config.js";
+import { formatNumber } from "./utils.js";
+import SaveManager from "./saveManager.js";
+import BigNumber from "./bigNumber.js";
+import {
+  createUpgradeLevels,
+  getUpgradeIds,
+  getUpgradeType,
+} from "./upgradeRegistry.js";
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+class PurchasePlanner {
+  constructor(upgradeManager, saveManager = new SaveManager()) {
+    this.upgradeManager = upgradeManager;
+    this.saveManager = saveManager;
+    this.saveManager.register("planner", this);
+
+    // Upgrade id -> levels waiting to be bought together
+    this.queue = createUpgradeLevels();
+
+    this.loadProgress();
+  }
+
+  // Queue more levels of an upgrade, never past its cap. Returns how many
+  // levels were added.
+  queueUpgrade(upgradeType, levels = 1) {
+    const levelCap = getUpgradeType(upgradeType).cap || Infinity;
+    const room =
+      levelCap -
+      this.upgradeManager.getUpgradeLevel(upgradeType) -
+      this.queue[upgradeType];
+    const added = Math.max(0, Math.min(levels, room));
+
+    if (added > 0) {
+      this.queue[upgradeType] += added;
+      this.saveManager.save();
+    }
+    return added;
+  }
+
+  clearQueue() {
+    this.queue = createUpgradeLevels();
+    this.saveManager.save();
+  }
+
+  getQueuedLevels(upgradeType) {
+    return this.queue[upgradeType] || 0;
+  }
+
+  isQueueEmpty() {
+    return getUpgradeIds().every((type) => this.queue[type] === 0);
+  }
+
+  // Price of every queued level, counted up from the current levels
+  getQueueCost() {
+    return getUpgradeIds().reduce((sum, type) => {
+      const { cost } = this.upgradeManager.getBulkPurchase(
+        type,
+        this.queue[type]
+      );
+      return sum.add(cost);
+    }, BigNumber.ZERO);
+  }
+
+  // Castles needed before the money covers a price, assuming the streak
+  // keeps growing. Null when that is more than MAX_ESTIMATE_CASTLES away.
+  estimateCastlesUntil(cost) {
+    const manager = this.upgradeManager;
+    let money = manager.money;
+    let streak = manager.castlesDestroyedSinceLastUpgrade;
+    let castles = 0;
+
+    while (money.lt(cost)) {
+      if (castles >= CONFIG.PLANNER.MAX_ESTIMATE_CASTLES) return null;
+      money = money.add(
+        manager.getExpectedCastleReward(manager.getStreakMultiplierAt(streak))
+      );
+      streak++;
+      castles++;
+    }
+    return castles;
+  }
+
+  // Whether to buy an upgrade with a buy mode now. action is "buy", "queue"
+  // (the streak is worth a lot next to the price, so buy it together with
+  // other upgrades) or "wait" (not affordable yet).
+  getAdvice(upgradeType, mode = 1) {
+    const manager = this.upgradeManager;
+    const purchase = manager.getBulkPurchase(upgradeType, mode);
+    const loss = manager.getStreakResetLoss();
+
+    if (!purchase.canAfford) {
+      const castles = this.estimateCastlesUntil(purchase.cost);
+      return {
+        action: "wait",
+        message:
+          castles === null
+            ? "Out of reach for now"
+            : `Affordable in ~${plural(castles, "castle")}`,
+      };
+    }
+    if (loss.isZero()) {
+      return { action: "buy", message: "Buy now" };
+    }
+    if (loss.gt(purchase.cost.mul(CONFIG.PLANNER.WARN_LOSS_RATIO))) {
+      return { action: "queue", message: "Queue it and buy with others" };
+    }
+    return { action: "buy", message: "Streak loss is small: buy now" };
+  }
+
+  // One-line summary of the queue for the planner bar
+  getQueueSummary() {
+    if (this.isQueueEmpty()) {
+      return "Queue upgrades to buy them together with a single streak reset";
+    }
+
+    const items = getUpgradeIds()
+      .filter((type) => this.queue[type] > 0)
+      .map(
+        (type) =>
+          `${this.upgradeManager.getUpgradeName(type)} x${this.queue[type]}`
+      );
+    const cost = this.getQueueCost();
+    const castles = this.estimateCastlesUntil(cost);
+    const when =
+      castles === null
+        ? "out of reach for now"
+        : `in ~${plural(castles, "castle")}`;
+    return `Queued: ${items.join(", ")} ($${formatNumber(cost)}, ${when})`;
+  }
+
+  // Buy the whole queue once the money covers it, so the streak resets only
+  // once. Returns what was bought as [{ type, levels }].
+  update() {
+    if (
+      this.isQueueEmpty() ||
+      this.upgradeManager.money.lt(this.getQueueCost())
+    ) {
+      return [];
+    }
+
+    const purchases = [];
+    for (const type of getUpgradeIds()) {
+      const before = this.upgradeManager.getUpgradeLevel(type);
+      if (
+        this.queue[type] > 0 &&
+        this.upgradeManager.purchaseUpgrade(type, this.queue[type])
+      ) {
+        purchases.push({
+          type,
+          levels: this.upgradeManager.getUpgradeLevel(type) - before,
+        });
+      }
+    }
+
+    this.clearQueue();
+    return purchases;
+  }
+
+  // Planner section of the save document
+  getSaveData() {
+    return { queue: { ...this.queue } };
+  }
+
+  loadProgress() {
+    const data = this.saveManager.getSection("planner");
+    if (data) {
+      this.queue = { ...createUpgradeLevels(), ...data.queue };
+    }
+  }
+}
+
+export default PurchasePlanner;
@@ -0,0 +1,700 @@
+// Unified save document with schema versioning, migrations and validation
+import { CONFIG } from "./config.js";
+import { getStorage, getTime } from "./environment.js";
+import { getLevelCaps, getUpgradeIds } from "./upgradeRegistry.js";
+import { NUMBER_NOTATIONS } from "./utils.js";
+import BigNumber from "./bigNumber.js";
+
+export const SAVE_KEY = "idleCannon_data";
+export const SAVE_VERSION = 2;
+
+// Where rejected saves are kept so a bad load never destroys progress
+const BACKUP_KEY = `${SAVE_KEY}_backup`;
+
+// Export codes look like "IC1.<base64 deflated JSON>.<checksum>"
+const EXPORT_PREFIX = "IC1";
+
+// Machine-specific fields that are neither exported nor compared
+const LOCAL_FIELDS = ["lastPassiveIncomeUpdate"];
+
+// Detailed history that is exported but left out of the import summary
+const HISTORY_FIELDS = ["buckets"];
+
+// Separate keys used before the unified save (schema version 1)
+const LEGACY_KEYS = {
+  economy: "idleCannon_save",
+  prestige: "idleCannon_prestige",
+  world: "idleCannon_world",
+};
+
+// Each migration upgrades a document from version N to version N + 1
+const MIGRATIONS = {
+  // v1 -> v2: three documents with their own timestamps become one document
+  1: (saveData) => {
+    const { timestamp: economyTime, ...economy } = saveData.economy || {};
+    const { timestamp: prestigeTime, ...prestige } = saveData.prestige || {};
+    return {
+      version: 2,
+      timestamp: economyTime || prestigeTime || null,
+      economy,
+      prestige,
+      world: saveData.world || {},
+    };
+  },
+};
+
+// Field validators. Each returns { value, problem } where problem describes
+// a repair that was made (null when the stored value was fine).
+function resolve(option) {
+  return typeof option === "function" ? option() : option;
+}
+
+function numberField({
+  min = 0,
+  max = Infinity,
+  integer = false,
+  fallback = 0,
+} = {}) {
+  return (value) => {
+    const upper = resolve(max);
+    let number = typeof value === "string" ? Number(value) : value;
+
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+      return { value: resolve(fallback), problem: `invalid number ${value}` };
+    }
+    if (integer && !Number.isInteger(number)) {
+      number = Math.floor(number);
+    }
+    if (number < min) {
+      return { value: resolve(fallback), problem: `${value} below ${min}` };
+    }
+    if (number > upper) {
+      return { value: upper, problem: `${value} clamped to ${upper}` };
+    }
+    return {
+      value: number,
+      problem: number === value ? null : `coerced from ${value}`,
+    };
+  };
+}
+
+// Money and gems of any size (see BigNumber), stored as a digit string.
+// Older saves hold plain numbers, which are converted without complaint.
+function bigNumberField() {
+  return (value) => {
+    if (!BigNumber.isValid(value)) {
+      return { value: "0", problem: `invalid number ${value}` };
+    }
+    const number = BigNumber.from(value);
+    if (number.isNegative()) {
+      return { value: "0", problem: `${value} below 0` };
+    }
+    const whole = Number.isInteger(
+      typeof value === "string" ? Number(value) : value
+    );
+    return {
+      value: number.toString(),
+      problem: whole ? null : `coerced from ${value}`,
+    };
+  };
+}
+
+// Map of id -> big number (see bigNumberField), zero for missing ids
+function amountsField(getIds) {
+  return (value) => {
+    const isObject = value !== null && typeof value === "object";
+    const source = isObject ? value : {};
+    const problems = isObject ? [] : ["not an object"];
+    const amounts = {};
+
+    for (const id of getIds()) {
+      const amount = source[id] === undefined ? 0 : source[id];
+      const result = bigNumberField()(amount);
+      amounts[id] = result.value;
+      if (result.problem) problems.push(`${id}: ${result.problem}`);
+    }
+
+    return {
+      value: amounts,
+      problem: problems.length > 0 ? problems.join(", ") : null,
+    };
+  };
+}
+
+// Ledger history: { start, amounts } per hour, oldest first, dropping
+// malformed buckets and repeated hours
+function bucketsField(getIds) {
+  return (value) => {
+    const isArray = Array.isArray(value);
+    const problems = isArray ? [] : ["not an array"];
+    const buckets = [];
+
+    for (const bucket of isArray ? value : []) {
+      const valid =
+        bucket !== null &&
+        typeof bucket === "object" &&
+        Number.isInteger(bucket.start) &&
+        bucket.start >= 0 &&
+        !buckets.some((b) => b.start === bucket.start);
+      if (!valid) {
+        problems.push("invalid bucket");
+        continue;
+      }
+      const result = amountsField(getIds)(bucket.amounts);
+      buckets.push({ start: bucket.start, amounts: result.value });
+      if (result.problem) problems.push(`${bucket.start}: ${result.problem}`);
+    }
+    buckets.sort((a, b) => a.start - b.start);
+
+    return {
+      value: buckets,
+      problem: problems.length > 0 ? problems.join(", ") : null,
+    };
+  };
+}
+
+function booleanField() {
+  return (value) =>
+    typeof value === "boolean"
+      ? { value, problem: null }
+      : { value: Boolean(value), problem: `non-boolean ${value}` };
+}
+
+function choiceField(getChoices, fallback) {
+  return (value) =>
+    getChoices().includes(value)
+      ? { value, problem: null }
+      : { value: fallback, problem: `unknown choice ${value}` };
+}
+
+// Map of upgrade type -> level, each clamped to its level cap
+function levelsField(getLevelCaps) {
+  return (value) => {
+    const levelCaps = getLevelCaps();
+    const isObject = value !== null && typeof value === "object";
+    const source = isObject ? value : {};
+    const problems = isObject ? [] : ["not an object"];
+    const levels = {};
+
+    for (const [type, cap] of Object.entries(levelCaps)) {
+      if (source[type] === undefined) {
+        levels[type] = 0;
+        continue;
+      }
+      const result = numberField({ integer: true, max: cap })(source[type]);
+      levels[type] = result.value;
+      if (result.problem) problems.push(`${type}: ${result.problem}`);
+    }
+
+    return {
+      value: levels,
+      problem: problems.length > 0 ? problems.join(", ") : null,
+    };
+  };
+}
+
+// Map of id -> choice, dropping entries with an unknown key or choice
+function choiceMapField(getKeys, getChoices) {
+  return (value) => {
+    const keys = getKeys().map(String);
+    const choices = getChoices();
+    const isObject = value !== null && typeof value === "object";
+    const source = isObject ? value : {};
+    const problems = isObject ? [] : ["not an object"];
+    const map = {};
+
+    for (const [key, choice] of Object.entries(source)) {
+      if (!keys.includes(key)) {
+        problems.push(`unknown key ${key}`);
+      } else if (!choices.includes(choice)) {
+        problems.push(`${key}: unknown choice ${choice}`);
+      } else {
+        map[key] = choice;
+      }
+    }
+
+    return {
+      value: map,
+      problem: problems.length > 0 ? problems.join(", ") : null,
+    };
+  };
+}
+
+// Ordered list of ids (e.g. a priority order). Unknown and repeated ids are
+// dropped and missing ones added at the end.
+function orderField(getIds) {
+  return (value) => {
+    const ids = getIds();
+    const isArray = Array.isArray(value);
+    const problems = isArray ? [] : ["not an array"];
+    const order = [];
+
+    for (const id of isArray ? value : []) {
+      if (!ids.includes(id) || order.includes(id)) {
+        problems.push(`unknown or repeated id ${id}`);
+      } else {
+        order.push(id);
+      }
+    }
+    for (const id of ids) {
+      if (!order.includes(id)) order.push(id);
+    }
+
+    return {
+      value: order,
+      problem: problems.length > 0 ? problems.join(", ") : null,
+    };
+  };
+}
+
+// World id -> grid cell -> learned aim offset (see AimCalibration),
+// dropping malformed cells
+function correctionsField(getWorldIds) {
+  return (value) => {
+    const worldIds = getWorldIds().map(String);
+    const isObject = value !== null && typeof value === "object";
+    const source = isObject ? value : {};
+    const problems = isObject ? [] : ["not an object"];
+    const corrections = {};
+
+    for (const [worldId, cells] of Object.entries(source)) {
+      if (!worldIds.includes(worldId) || !cells || typeof cells !== "object") {
+        problems.push(`unknown world ${worldId}`);
+        continue;
+      }
+      corrections[worldId] = {};
+      for (const [key, cell] of Object.entries(cells)) {
+        const valid =
+          /^-?\d+,-?\d+$/.test(key) &&
+          cell !== null &&
+          typeof cell === "object" &&
+          Number.isFinite(cell.dx) &&
+          Number.isFinite(cell.dy) &&
+          Number.isInteger(cell.samples) &&
+          cell.samples > 0;
+        if (valid) {
+          const { dx, dy, samples } = cell;
+          corrections[worldId][key] = { dx, dy, samples };
+        } else {
+          problems.push(`world ${worldId}: invalid cell ${key}`);
+        }
+      }
+    }
+
+    return {
+      value: corrections,
+      problem: problems.length > 0 ? problems.join(", ") : null,
+    };
+  };
+}
+
+function getLedgerSourceIds() {
+  return CONFIG.LEDGER.SOURCES.map((source) => source.id);
+}
+
+const SECTION_SCHEMAS = {
+  economy: {
+    money: bigNumberField(),
+    totalEarned: bigNumberField(),
+    castlesDestroyed: numberField({ integer: true }),
+    castlesDestroyedSinceLastUpgrade: numberField({ integer: true }),
+    flagsCaptured: numberField({ integer: true }),
+    averageCastleReward: numberField({
+      fallback: () => CONFIG.OFFLINE.AVERAGE_CASTLE_REWARD,
+    }),
+    averageSecondsPerCastle: numberField(),
+    upgrades: levelsField(getLevelCaps),
+    lastPassiveIncomeUpdate: numberField({ fallback: () => getTime() }),
+  },
+  prestige: {
+    prestigeLevel: numberField({ integer: true }),
+    gems: bigNumberField(),
+    selectedCannonId: choiceField(
+      () => CONFIG.PRESTIGE.CANNONS.map((cannon) => cannon.id),
+      0
+    ),
+    targetingStrategies: choiceMapField(
+      () => CONFIG.PRESTIGE.CANNONS.map((cannon) => cannon.id),
+      () => CONFIG.TARGETING.STRATEGIES.map((strategy) => strategy.id)
+    ),
+    prestigeUpgrades: levelsField(() => CONFIG.PRESTIGE.UPGRADE_LEVEL_CAPS),
+  },
+  world: {
+    currentWorldId: numberField({
+      integer: true,
+      min: 1,
+      max: () => CONFIG.WORLDS.length,
+      fallback: 1,
+    }),
+    castlesDestroyedInCurrentWorld: numberField({ integer: true }),
+    isReadyForNextWorld: booleanField(),
+  },
+  aim: {
+    corrections: correctionsField(() => CONFIG.WORLDS.map((world) => world.id)),
+  },
+  planner: {
+    queue: levelsField(getLevelCaps),
+  },
+  automation: {
+    enabled: booleanField(),
+    priority: orderField(getUpgradeIds),
+    onlyAtMaxStreak: booleanField(),
+    reservePercent: numberField({ max: 100 }),
+    autoAdvance: booleanField(),
+  },
+  ledger: {
+    totals: amountsField(getLedgerSourceIds),
+    buckets: bucketsField(getLedgerSourceIds),
+  },
+  settings: {
+    notation: choiceField(
+      () => NUMBER_NOTATIONS.map((notation) => notation.id),
+      NUMBER_NOTATIONS[0].id
+    ),
+  },
+};
+
+// Validate one section, filling missing fields and repairing malformed ones
+function validateSection(name, data, repairs) {
+  const schema = SECTION_SCHEMAS[name];
+  const source = data && typeof data === "object" ? data : {};
+  const section = {};
+
+  if (data !== undefined && source !== data) {
+    repairs.push(`${name}: section was not an object`);
+  }
+
+  for (const [field, validate] of Object.entries(schema)) {
+    if (source[field] === undefined) {
+      // Missing fields (e.g. added in a later version) take their default
+      section[field] = validate(undefined).value;
+      continue;
+    }
+    const { value, problem } = validate(source[field]);
+    section[field] = value;
+    if (problem) repairs.push(`${name}.${field}: ${problem}`);
+  }
+
+  return section;
+}
+
+// FNV-1a hash, enough to catch typos and truncated codes
+function checksum(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+// Run bytes through a CompressionStream or DecompressionStream
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Leaf-by-leaf differences between two validated documents
+export function diffSaveData(current, incoming) {
+  const changes = [];
+  for (const section of Object.keys(SECTION_SCHEMAS)) {
+    const before = (current && current[section]) || {};
+    const after = incoming[section];
+    for (const field of Object.keys(SECTION_SCHEMAS[section])) {
+      if (LOCAL_FIELDS.includes(field) || HISTORY_FIELDS.includes(field)) {
+        continue;
+      }
+      const from = before[field];
+      const to = after[field];
+      if (to !== null && typeof to === "object") {
+        for (const key of Object.keys(to)) {
+          const fromLevel = from ? from[key] || 0 : 0;
+          // Values can be objects themselves (aim corrections per world)
+          if (JSON.stringify(fromLevel) !== JSON.stringify(to[key])) {
+            changes.push({ section, field, key, from: fromLevel, to: to[key] });
+          }
+        }
+      } else if (from !== to) {
+        changes.push({ section, field, key: null, from, to });
+      }
+    }
+  }
+  return changes;
+}
+
+class SaveManager {
+  constructor() {
+    this.subsystems = {}; // section name -> object with getSaveData()
+    this.saveData = this.load();
+
+    // When the previous session last saved, for offline progress
+    this.lastSessionTime = this.getTimestamp();
+  }
+
+  // Register a subsystem whose getSaveData() fills the named section
+  register(sectionName, subsystem) {
+    this.subsystems[sectionName] = subsystem;
+  }
+
+  getSection(sectionName) {
+    return this.saveData ? this.saveData[sectionName] : null;
+  }
+
+  // Time of the most recent save
+  getTimestamp() {
+    return this.saveData ? this.saveData.timestamp : null;
+  }
+
+  load() {
+    const storage = getStorage();
+    let raw = null;
+
+    try {
+      raw = storage.getItem(SAVE_KEY);
+    } catch (e) {
+      console.warn("Failed to read save data:", e);
+      return null;
+    }
+
+    let saveData;
+    let fromLegacy = false;
+    try {
+      if (raw) {
+        saveData = JSON.parse(raw);
+      } else {
+        saveData = this.readLegacyDocument(storage);
+        fromLegacy = saveData !== null;
+      }
+    } catch (e) {
+      this.reject(raw, `unreadable save (${e.message})`);
+      return null;
+    }
+
+    if (!saveData) {
+      return null;
+    }
+
+    let normalized;
+    try {
+      normalized = this.normalize(saveData);
+    } catch (e) {
+      this.reject(raw || JSON.stringify(saveData), e.message);
+      return null;
+    }
+
+    const { saveData: validated, repairs } = normalized;
+
+    if (repairs.length > 0) {
+      console.warn("Repaired save data:", repairs);
+    }
+
+    // Persist the upgraded document and retire the old keys
+    const upgraded = fromLegacy || saveData.version !== SAVE_VERSION;
+    if (upgraded || repairs.length > 0) {
+      this.write(validated);
+      if (fromLegacy) {
+        this.removeLegacyKeys(storage);
+      }
+    }
+
+    return validated;
+  }
+
+  // Assemble a version 1 document from the legacy per-subsystem keys
+  readLegacyDocument(storage) {
+    const saveData = { version: 1 };
+    let found = false;
+
+    for (const [section, key] of Object.entries(LEGACY_KEYS)) {
+      const raw = storage.getItem(key);
+      if (raw) {
+        saveData[section] = JSON.parse(raw);
+        found = true;
+      }
+    }
+
+    return found ? saveData : null;
+  }
+
+  // Migrate and validate a stored or imported document
+  normalize(saveData) {
+    const migrated = this.migrate(saveData);
+    const repairs = [];
+    const validated = {
+      version: SAVE_VERSION,
+      timestamp: numberField({ fallback: null })(migrated.timestamp).value,
+    };
+    for (const name of Object.keys(SECTION_SCHEMAS)) {
+      validated[name] = validateSection(name, migrated[name], repairs);
+    }
+    return { saveData: validated, repairs };
+  }
+
+  migrate(saveData) {
+    if (
+      !saveData ||
+      typeof saveData !== "object" ||
+      Array.isArray(saveData)
+    ) {
+      throw new Error("save is not an object");
+    }
+
+    let current = saveData;
+    let version = current.version;
+
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`invalid save version ${version}`);
+    }
+    if (version > SAVE_VERSION) {
+      throw new Error(`save version ${version} is newer than ${SAVE_VERSION}`);
+    }
+
+    while (version < SAVE_VERSION) {
+      const migration = MIGRATIONS[version];
+      if (!migration) {
+        throw new Error(`no migration from save version ${version}`);
+      }
+      current = migration(current);
+      version = current.version;
+    }
+
+    return current;
+  }
+
+  // Keep the rejected save aside and start fresh
+  reject(raw, reason) {
+    console.warn(`Rejected save data: ${reason}. A backup was kept.`);
+    try {
+      if (raw) {
+        getStorage().setItem(BACKUP_KEY, raw);
+      }
+    } catch (e) {
+      console.warn("Failed to back up rejected save data:", e);
+    }
+  }
+
+  // Write every registered subsystem in a single storage write
+  save() {
+    const saveData = {
+      ...(this.saveData || {}),
+      version: SAVE_VERSION,
+      timestamp: getTime(),
+    };
+
+    for (const [name, subsystem] of Object.entries(this.subsystems)) {
+      saveData[name] = subsystem.getSaveData();
+    }
+
+    this.write(saveData);
+    this.saveData = saveData;
+  }
+
+  // Current progress as a compressed, checksummed text code
+  async exportString() {
+    this.save();
+
+    // Local fields are left out; the importing browser fills in its own
+    const payload = { version: SAVE_VERSION };
+    for (const section of Object.keys(SECTION_SCHEMAS)) {
+      payload[section] = { ...this.saveData[section] };
+      for (const field of LOCAL_FIELDS) {
+        delete payload[section][field];
+      }
+    }
+    const json = JSON.stringify(payload);
+
+    const bytes = new TextEncoder().encode(json);
+    const compressed = await transformBytes(
+      bytes,
+      new CompressionStream("deflate")
+    );
+    return `${EXPORT_PREFIX}.${bytesToBase64(compressed)}.${checksum(json)}`;
+  }
+
+  // Decode and validate an export code. Throws an Error with a message
+  // suitable for the player when the code cannot be used.
+  async parseExportString(code) {
+    const parts = String(code).replace(/\s+/g, "").split(".");
+    if (parts.length !== 3 || parts[0] !== EXPORT_PREFIX) {
+      throw new Error("This is not an Idle Cannon save code.");
+    }
+
+    let json;
+    try {
+      const bytes = await transformBytes(
+        base64ToBytes(parts[1]),
+        new DecompressionStream("deflate")
+      );
+      json = new TextDecoder().decode(bytes);
+    } catch (e) {
+      throw new Error("The save code is damaged or incomplete.");
+    }
+
+    if (checksum(json) !== parts[2]) {
+      throw new Error("The save code failed its checksum.");
+    }
+
+    try {
+      return this.normalize(JSON.parse(json));
+    } catch (e) {
+      throw new Error(`The save code could not be read: ${e.message}`);
+    }
+  }
+
+  // Replace the whole save with an imported document. Subsystems must
+  // reload their progress afterwards.
+  importSaveData(saveData) {
+    this.saveData = {
+      ...saveData,
+      version: SAVE_VERSION,
+      timestamp: getTime(),
+    };
+    this.write(this.saveData);
+  }
+
+  write(saveData) {
+    try {
+      getStorage().setItem(SAVE_KEY, JSON.stringify(saveData));
+    } catch (e) {
+      console.warn("Failed to save progress:", e);
+    }
+  }
+
+  removeLegacyKeys(storage) {
+    for (const key of Object.values(LEGACY_KEYS)) {
+      storage.removeItem(key);
+    }
+  }
+
+  // Delete the save entirely, including backups (full progress reset)
+  clear() {
+    this.saveData = null;
+    try {
+      const storage = getStorage();
+      storage.removeItem(SAVE_KEY);
+      storage.removeItem(BACKUP_KEY);
+      this.removeLegacyKeys(storage);
+    } catch (e) {
+      console.warn("Failed to clear save data:", e);
+    }
+  }
+}
+
+export default SaveManager;
@@ -0,0 +1,137 @@
+// Castle stability - settle a layout in its own physics engine before it spawns
+import { CONFIG } from "./config.js";
+import PhysicsWorld from "./physics.js";
+
+const FRAME_MS = 16.67;
+
+// Grid cells a structure entry fills (multi-cell pieces list their cells)
+function getCells(block) {
+  return (block.cells || [[0, 0]]).map(([dx, dy]) => [
+    block.x + dx,
+    block.y + dy,
+  ]);
+}
+
+// Drop the structure from (x, y) onto the ground of a private engine with
+// the given gravity, the way Game.createNewCastle spawns it, and see which
+// pieces slide or tip away from their place in the layout. Returns the indices of
+// the toppled pieces, a score from 0 (everything fell) to 1 (nothing
+// moved), weighted by cell count so a fallen arch counts for more than a
+// fallen brick, and the physics steps it took (at most maxSteps).
+// A generator: it yields after setting up and after every physics step so
+// the game can spread the test over frames, and returns the result.
+export function* testStability(
+  structure,
+  width,
+  { x, y, gravity, maxSteps = Infinity }
+) {
+  const stability = CONFIG.CASTLE.STABILITY;
+  const blockSize = CONFIG.PHYSICS.BLOCK_SIZE;
+
+  const physics = new PhysicsWorld();
+  physics.engine.world.gravity.y = gravity;
+
+  // Same placement as Castle.buildStructure
+  const bodies = structure.map((blockData) => {
+    const blockX = x + (blockData.x - width / 2) * blockSize;
+    const blockY = y - blockData.y * blockSize;
+    return blockData.cells
+      ? physics.createCompoundBlock(
+          blockX,
+          blockY,
+          blockData.cells.map(([dx, dy]) => ({ x: dx, y: -dy })),
+          blockData.material,
+          blockData.shape
+        )
+      : physics.createBlock(
+          blockX,
+          blockY,
+          blockSize,
+          blockSize,
+          blockData.material,
+          blockData.shape
+        );
+  });
+  const start = bodies.map((body) => ({ ...body.position }));
+  yield; // Creating the bodies of a big castle is a frame's work on its own
+
+  // Falling and toppling both take longer in low gravity
+  const settleMs = stability.SETTLE_MS / Math.sqrt(Math.min(1, gravity));
+  const stepLimit = Math.min(Math.ceil(settleMs / FRAME_MS), maxSteps);
+
+  // Stop early once every piece has been at rest for REST_STEPS in a row.
+  // Slow movement is relative to gravity, as everything moves slower in low
+  // gravity.
+  const restSpeed = stability.REST_SPEED * Math.min(1, gravity);
+  const restAngularSpeed = stability.REST_ANGULAR_SPEED * Math.min(1, gravity);
+  let steps = 0;
+  let restSteps = 0;
+  while (steps < stepLimit && restSteps < stability.REST_STEPS) {
+    Matter.Engine.update(physics.engine, FRAME_MS);
+    steps++;
+    yield;
+    const atRest = bodies.every(
+      (body) =>
+        body.speed < restSpeed && body.angularSpeed < restAngularSpeed
+    );
+    restSteps = atRest ? restSteps + 1 : 0;
+  }
+
+  // Only sideways movement and tipping count: the whole castle drops onto
+  // the ground and tall stacks sag a little under their own weight
+  const toppled = [];
+  let totalCells = 0;
+  let toppledCells = 0;
+  bodies.forEach((body, i) => {
+    const cells = getCells(structure[i]).length;
+    totalCells += cells;
+
+    const shift = Math.abs(body.position.x - start[i].x);
+    if (
+      shift > blockSize * stability.MAX_SHIFT ||
+      Math.abs(body.angle) > stability.MAX_TILT
+    ) {
+      toppled.push(i);
+      toppledCells += cells;
+    }
+  });
+
+  Matter.World.clear(physics.world, false);
+  Matter.Engine.clear(physics.engine);
+
+  return {
+    score: totalCells > 0 ? 1 - toppledCells / totalCells : 1,
+    toppled,
+    steps,
+  };
+}
+
+// Remove the toppled pieces, then anything left resting on nothing, so the
+// rest of the layout can be tested again. The stone base row always stays.
+export function repairStructure(structure, toppled) {
+  const remaining = structure
+    .filter((block, i) => block.y === 0 || !toppled.includes(i))
+    .sort((a, b) => a.y - b.y);
+
+  // Bottom up, keep a piece if one of its cells sits on a kept cell
+  const occupied = new Set();
+  const repaired = [];
+  for (const block of remaining) {
+    const cells = getCells(block);
+    const ownCells = new Set(cells.map(([cx, cy]) => `${cx},${cy}`));
+    const supported =
+      block.y === 0 ||
+      cells.some(
+        ([cx, cy]) =>
+          !ownCells.has(`${cx},${cy - 1}`) && occupied.has(`${cx},${cy - 1}`)
+      );
+    if (!supported) continue;
+
+    for (const [cx, cy] of cells) {
+      occupied.add(`${cx},${cy}`);
+    }
+    repaired.push(block);
+  }
+
+  return repaired;
+}
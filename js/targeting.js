@@ -0,0 +1,163 @@
+// Targeting strategies - decide which castle block the cannon aims at next
+import { CONFIG } from './config.js';
+
+// Measure how each target sits in the castle: what rests on it and whether
+// it is loose rubble. Targets are { x, y, block } from Game.getTargetBricks.
+function analyzeTargets(targets) {
+  const blockSize = CONFIG.PHYSICS.BLOCK_SIZE;
+  const groundY = CONFIG.PHYSICS.GROUND_Y;
+
+  const analyzed = targets.map((target) => ({
+    target,
+    block: target.block || null,
+    supports: [],
+    massAbove: 0,
+  }));
+
+  // A block supports everything stacked above it in its column
+  for (const below of analyzed) {
+    for (const above of analyzed) {
+      if (
+        above !== below &&
+        Math.abs(above.target.x - below.target.x) < blockSize * 0.9 &&
+        above.target.y < below.target.y - blockSize / 2
+      ) {
+        below.supports.push(above);
+        below.massAbove += getMass(above.block);
+      }
+    }
+  }
+
+  for (const entry of analyzed) {
+    // Same "touching ground" test as Castle.checkDestroyed
+    const onGround = entry.target.y >= groundY - blockSize;
+    entry.isRubble = onGround && entry.supports.length === 0;
+  }
+
+  return analyzed;
+}
+
+function getMass(block) {
+  return block && block.body ? block.body.mass : 1;
+}
+
+function getDamage(block) {
+  if (!block || !block.maxHealth) return 0;
+  return 1 - block.health / block.maxHealth;
+}
+
+// How far a block has rotated away from sitting flat, 0 (flat) to 1 (45°)
+function getTilt(block) {
+  if (!block || !block.body) return 0;
+  const quarterTurn = Math.PI / 2;
+  const angle = Math.abs(block.body.angle % quarterTurn);
+  return Math.min(angle, quarterTurn - angle) / (Math.PI / 4);
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Each strategy scores the targets it is willing to shoot (higher first) and
+// explains the pick. Returning null skips a target, e.g. ground rubble.
+// randomAngle picks any angle that reaches the target instead of the one
+// with the smallest predicted miss.
+const STRATEGIES = {
+  random: {
+    randomAngle: true,
+    evaluate: (entry) =>
+      entry.isRubble ? null : { score: 0, reason: 'random pick' },
+  },
+
+  lowestSupporting: {
+    evaluate: (entry) => {
+      if (entry.supports.length === 0) return null;
+      return {
+        score: entry.target.y,
+        reason: `lowest block holding up ${plural(
+          entry.supports.length,
+          'block'
+        )}`,
+      };
+    },
+  },
+
+  flagFirst: {
+    evaluate: (entry, analyzed) => {
+      // A flag lying in the rubble can't be captured any more
+      if (entry.block && entry.block.hasFlag && !entry.isRubble) {
+        return { score: 2 * CONFIG.CANVAS.HEIGHT, reason: 'flag block' };
+      }
+
+      // Next best: bring the flag down by removing what it stands on
+      const holdsFlag = entry.supports.some(
+        (above) => above.block && above.block.hasFlag
+      );
+      if (holdsFlag) {
+        return {
+          score: CONFIG.CANVAS.HEIGHT + entry.target.y,
+          reason: 'holds up the flag',
+        };
+      }
+
+      // Flag gone or out of reach: the rest are ranked by lowest support
+      return STRATEGIES.lowestSupporting.evaluate(entry, analyzed);
+    },
+  },
+
+  highestMassAbove: {
+    evaluate: (entry) => {
+      if (entry.supports.length === 0) return null;
+      return {
+        score: entry.massAbove,
+        reason: `carries ${entry.massAbove.toFixed(1)} mass (${plural(
+          entry.supports.length,
+          'block'
+        )})`,
+      };
+    },
+  },
+
+  nearestToCollapse: {
+    evaluate: (entry) => {
+      if (entry.supports.length === 0) return null;
+      const damage = getDamage(entry.block);
+      const tilt = getTilt(entry.block);
+      return {
+        // Weakness matters most, the load decides between equally weak blocks
+        score: (damage + tilt) * 100 + entry.supports.length,
+        reason: `${Math.round(damage * 100)}% damaged, tilted ${Math.round(
+          tilt * 45
+        )}°, holding up ${plural(entry.supports.length, 'block')}`,
+      };
+    },
+  },
+};
+
+export function getTargetingStrategy(strategyId) {
+  const info =
+    CONFIG.TARGETING.STRATEGIES.find((s) => s.id === strategyId) ||
+    CONFIG.TARGETING.STRATEGIES.find(
+      (s) => s.id === CONFIG.TARGETING.DEFAULT_STRATEGY
+    );
+  return { ...info, ...STRATEGIES[info.id] };
+}
+
+// Order targets from best to worst for a strategy. Equal scores are shuffled
+// with the given random source so repeated shots spread across them. Targets
+// the strategy skips (e.g. rubble) come last, so the cannon still has
+// something to fire at when nothing better is in reach.
+export function rankTargets(strategyId, targets, random) {
+  const strategy = getTargetingStrategy(strategyId);
+  const analyzed = analyzeTargets(targets);
+
+  const ranked = analyzed.map((entry) => {
+    const evaluation = strategy.evaluate(entry, analyzed) || {
+      score: -Infinity,
+      reason: entry.isRubble ? 'only rubble left' : 'nothing better in reach',
+    };
+    return { target: entry.target, ...evaluation, tiebreak: random.next() };
+  });
+
+  return ranked.sort((a, b) => b.score - a.score || a.tiebreak - b.tiebreak);
+}
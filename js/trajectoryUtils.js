@@ -1,81 +1,509 @@
 // Trajectory calculation utilities for ballistic projectiles
+import { CONFIG } from './config.js';
+import { getUpgradeEffect } from './upgradeRegistry.js';
 
-// Import firing table data for each world
-const firingTableModules = {
-  1: () => import('../data/firing-table/world-1.js'),
-  2: () => import('../data/firing-table/world-2.js'),
-  3: () => import('../data/firing-table/world-3.js'),
-  4: () => import('../data/firing-table/world-4.js'),
-  5: () => import('../data/firing-table/world-5.js'),
-  6: () => import('../data/firing-table/world-6.js'),
-  7: () => import('../data/firing-table/world-7.js'),
-  8: () => import('../data/firing-table/world-8.js'),
-  9: () => import('../data/firing-table/world-9.js'),
-  10: () => import('../data/firing-table/world-10.js'),
-  11: () => import('../data/firing-table/world-11.js'),
-};
-
-// Cache for loaded firing tables
+/**
+ * Cannonball size upgrade levels that have firing tables in
+ * data/firing-table/world-N-size-L.js (built by tools/buildFiringTables.mjs).
+ */
+export const FIRING_TABLE_SIZE_LEVELS = [0, 5, 10];
+
+// Cache for loaded firing tables, keyed by "world:sizeLevel".
+// Missing tables are cached as null so they are only requested once.
 const firingTableCache = new Map();
 
 /**
- * Load firing table data for a specific world
- * @param {number} worldId - The world ID
- * @returns {Promise<Object>} - The firing table data
+ * Pick the firing table size level to use for a cannonball size level.
+ * A table built with a smaller ball only lists angles whose path passes
+ * close to the target, so those angles still hit with a bigger ball; the
+ * reverse is not true. The largest built level not above the actual level
+ * is therefore used.
+ * @param {number} sizeLevel - The cannon's size upgrade level
+ * @returns {number} - The table size level
  */
-async function loadFiringTable(worldId) {
-  if (firingTableCache.has(worldId)) {
-    return firingTableCache.get(worldId);
+export function getFiringTableSizeLevel(sizeLevel) {
+  let tableLevel = FIRING_TABLE_SIZE_LEVELS[0];
+  for (const level of FIRING_TABLE_SIZE_LEVELS) {
+    if (level <= sizeLevel) {
+      tableLevel = level;
+    }
   }
+  return tableLevel;
+}
 
-  if (!firingTableModules[worldId]) {
-    console.warn(`No firing table available for world ${worldId}`);
-    return null;
+/**
+ * Load firing table data for a specific world and cannonball size
+ * @param {number} worldId - The world ID
+ * @param {number} sizeLevel - The table size level
+ * @returns {Promise<Object|null>} - The firing table data
+ */
+async function loadFiringTable(worldId, sizeLevel) {
+  const key = `${worldId}:${sizeLevel}`;
+  if (firingTableCache.has(key)) {
+    return firingTableCache.get(key);
   }
 
+  let firingTable = null;
   try {
-    const module = await firingTableModules[worldId]();
-    const firingTable = module.default;
-    firingTableCache.set(worldId, firingTable);
-    return firingTable;
+    const module = await import(
+      `../data/firing-table/world-${worldId}-size-${sizeLevel}.js`
+    );
+    firingTable = module.default;
   } catch (error) {
-    console.error(`Failed to load firing table for world ${worldId}:`, error);
-    return null;
+    console.warn(
+      `No firing table available for world ${worldId} at size level ${sizeLevel}`
+    );
   }
+
+  firingTableCache.set(key, firingTable);
+  return firingTable;
 }
 
 /**
  * Calculate the launch angle(s) needed to hit a target with a projectile.
- * Uses pre-calculated firing table data for accuracy.
+ * Uses pre-calculated firing table data for accuracy, and falls back to the
+ * numeric solver when the table has no entry or the world sets
+ * `firingTable: false`.
  *
  * @param {Object} params - The calculation parameters
  * @param {number} params.targetX - Target X position in pixels
  * @param {number} params.targetY - Target Y position in pixels
  * @param {Object} params.world - The current world object with id property
- * @returns {Promise<null|number[]>} - null if unreachable, array of angles in degrees (converted to radians)
+ * @param {number} [params.sizeLevel=0] - The cannon's size upgrade level
+ * @param {Object} [params.launch] - Solver overrides (speed, ballRadius, originX, originY, barrelLength, wind, drag)
+ * @returns {Promise<null|number[]>} - null if unreachable, otherwise angles in radians (best first)
+ */
+export async function calculateLaunchAngles(params) {
+  const solutions = await calculateLaunchSolutions(params);
+  return solutions ? solutions.map((solution) => solution.angle) : null;
+}
+
+/**
+ * Like calculateLaunchAngles, but returns each angle with its predicted miss
+ * distance (closest approach of the simulated flight to the target, in
+ * pixels) and where it came from.
+ *
+ * @param {Object} params - Same as calculateLaunchAngles
+ * @returns {Promise<null|{angle: number, miss: number, source: string}[]>} - null if unreachable, otherwise solutions sorted by miss
  */
-export async function calculateLaunchAngles({ targetX, targetY, world }) {
-  const firingTable = await loadFiringTable(world.id);
+export async function calculateLaunchSolutions({
+  targetX,
+  targetY,
+  world,
+  sizeLevel = 0,
+  launch = null,
+}) {
+  const fullLaunch = {
+    gravity: world.gravity,
+    ...getDefaultLaunch(world, sizeLevel),
+    ...launch,
+  };
 
-  if (!firingTable) {
-    return null;
+  // Worlds can opt out of tables (e.g. new worlds without a built table).
+  // Tables are built at the world's base speed, so Speed upgrades go
+  // straight to the solver.
+  const tableSpeed = getDefaultLaunch(world, sizeLevel).speed;
+  if (world.firingTable !== false && fullLaunch.speed === tableSpeed) {
+    const firingTable = await loadFiringTable(
+      world.id,
+      getFiringTableSizeLevel(sizeLevel)
+    );
+    // Tables are built in still air, so in wind their angles are corrected
+    const solutions =
+      firingTable &&
+      interpolateFiringTable({ firingTable, targetX, targetY, ...fullLaunch });
+    if (solutions) {
+      return solutions;
+    }
+  }
+
+  // Table miss: solve the trajectory numerically instead
+  return solveLaunchSolutions({ targetX, targetY, ...fullLaunch });
+}
+
+// Firing table grid spacing in pixels (FiringTableBuilder.gridSize)
+const TABLE_GRID_SIZE = 10;
+
+// Furthest apart (in degrees) two cells' angle bands can be and still be
+// treated as the same trajectory branch when interpolating
+const MAX_BRANCH_GAP = 4;
+
+/**
+ * Split a cell's sorted whole-degree angles into runs of consecutive
+ * degrees. Each run is one trajectory branch passing through the cell
+ * (e.g. a flat and a lofted shot), and its middle is the best angle.
+ * @param {number[]} angles - Angles in degrees from one table cell
+ * @returns {number[]} - Centre of each run, in degrees
+ */
+function getBranchCentres(angles) {
+  const sorted = [...angles].sort((a, b) => a - b);
+  const centres = [];
+  let runStart = sorted[0];
+
+  for (let i = 1; i <= sorted.length; i++) {
+    if (i === sorted.length || sorted[i] !== sorted[i - 1] + 1) {
+      centres.push((runStart + sorted[i - 1]) / 2);
+      runStart = sorted[i];
+    }
   }
 
-  // Round coordinates to nearest 10 pixels for lookup (firing table resolution)
-  const roundedX = Math.round(targetX / 10) * 10;
-  const roundedY = Math.round(targetY / 10) * 10;
+  return centres;
+}
+
+/**
+ * Look up launch angles between firing table cells. The branch centres of
+ * the four surrounding cells are blended bilinearly into fractional-degree
+ * angles, and each candidate is checked by simulating its flight. With wind
+ * or extra drag each candidate is first refined within MAX_BRANCH_GAP
+ * degrees, since the table was built in still air. Only candidates
+ * predicted to hit are returned, best first.
+ *
+ * @param {Object} params - Target position, firing table and launch setup
+ * @returns {null|{angle: number, miss: number, source: string}[]} - null if the table has nothing usable
+ */
+function interpolateFiringTable({ firingTable, targetX, targetY, ...launch }) {
+  const gridX = targetX / TABLE_GRID_SIZE;
+  const gridY = targetY / TABLE_GRID_SIZE;
+  const x0 = Math.floor(gridX) * TABLE_GRID_SIZE;
+  const y0 = Math.floor(gridY) * TABLE_GRID_SIZE;
+  const fx = gridX - Math.floor(gridX);
+  const fy = gridY - Math.floor(gridY);
+
+  // The four surrounding cells with their bilinear weights
+  const cells = [];
+  for (const [x, wx] of [
+    [x0, 1 - fx],
+    [x0 + TABLE_GRID_SIZE, fx],
+  ]) {
+    for (const [y, wy] of [
+      [y0, 1 - fy],
+      [y0 + TABLE_GRID_SIZE, fy],
+    ]) {
+      const angles = firingTable[x] && firingTable[x][y];
+      if (angles && angles.length > 0 && wx * wy > 0) {
+        cells.push({ weight: wx * wy, centres: getBranchCentres(angles) });
+      }
+    }
+  }
 
-  // Look up angles in the firing table
-  const xData = firingTable[roundedX];
-  if (!xData) {
+  if (cells.length === 0) {
     return null;
   }
 
-  const angles = xData[roundedY];
-  if (!angles || angles.length === 0) {
+  // Follow each branch of the most heavily weighted cell into the others
+  cells.sort((a, b) => b.weight - a.weight);
+  const candidates = cells[0].centres.map((reference) => {
+    let weightedSum = 0;
+    let totalWeight = 0;
+    for (const cell of cells) {
+      const nearest = cell.centres.reduce((best, centre) =>
+        Math.abs(centre - reference) < Math.abs(best - reference)
+          ? centre
+          : best
+      );
+      if (Math.abs(nearest - reference) <= MAX_BRANCH_GAP) {
+        weightedSum += cell.weight * nearest;
+        totalWeight += cell.weight;
+      }
+    }
+    return weightedSum / totalWeight;
+  });
+
+  const missAt = (degrees) =>
+    getMissDistance(
+      simulateTrajectory({ ...launch, angle: toRadians(degrees) }),
+      targetX,
+      targetY
+    );
+  const inStillAir = !launch.wind && !launch.drag;
+
+  // Rank by predicted miss, keeping only angles the cannon can fire
+  const solutions = candidates
+    .map((degrees) =>
+      inStillAir
+        ? degrees
+        : refineAngle(
+            missAt,
+            Math.max(SOLVER_MIN_ANGLE, degrees - MAX_BRANCH_GAP),
+            Math.min(90, degrees + MAX_BRANCH_GAP)
+          )
+    )
+    .filter((degrees) => degrees >= SOLVER_MIN_ANGLE && degrees <= 90)
+    .map((degrees) => ({
+      angle: toRadians(degrees),
+      miss: missAt(degrees),
+      source: inStillAir ? 'table' : 'table+wind',
+    }))
+    .filter((solution) => solution.miss <= launch.ballRadius + HIT_TOLERANCE)
+    .sort((a, b) => a.miss - b.miss);
+
+  return solutions.length > 0 ? solutions : null;
+}
+
+// Matter.js integration constants (see Body.update and Engine.update)
+const STEP_MS = 16.67; // PhysicsWorld.update step
+const BASE_DELTA = 1000 / 60; // Matter's Body._baseDelta
+const GRAVITY_SCALE = 0.001; // Matter's default gravity.scale
+const MAX_STEPS = 600; // Same 10 second limit as FiringTableBuilder
+
+// Cannonballs slower than this do no damage (see Castle.handleCollisions)
+const MIN_DAMAGE_VELOCITY = 5;
+
+// Extra reach counted as a hit, matching the table builder's dot size
+const HIT_TOLERANCE = 2;
+
+// Angle range searched by the solver, in degrees (what the cannon can fire)
+const SOLVER_MIN_ANGLE = -10;
+const SOLVER_MAX_ANGLE = 89;
+
+// Whole-degree trajectories, cached per launch setup
+const trajectoryCache = new Map();
+const TRAJECTORY_CACHE_LIMIT = 8;
+
+/**
+ * Launch parameters for the default cannon in a world
+ * @param {Object} world - World config with gravity and optional speed
+ * @param {number} sizeLevel - The cannon's size upgrade level
+ * @returns {Object} - originX, originY, barrelLength, speed, ballRadius, wind and drag
+ */
+function getDefaultLaunch(world, sizeLevel) {
+  return {
+    originX: CONFIG.CANNON.X,
+    originY: CONFIG.CANNON.Y,
+    barrelLength: 40,
+    speed: world.speed || CONFIG.CANNON.SPEED,
+    ballRadius:
+      CONFIG.CANNON.BASE_SIZE * (1 + getUpgradeEffect('size', sizeLevel)),
+    wind: 0,
+    drag: 0,
+  };
+}
+
+/**
+ * Integrate a cannonball's flight the same way Matter.js does: Verlet steps
+ * with air friction, gravity, wind and PhysicsWorld's fixed 16.67ms
+ * timestep. The flight ends when the ball reaches the ground or falls off
+ * screen.
+ *
+ * @param {Object} params - The launch parameters
+ * @param {number} params.angle - Launch angle in radians (0 = right, up is positive)
+ * @param {number} params.speed - Muzzle speed in pixels per step
+ * @param {number} params.gravity - World gravity (engine.world.gravity.y)
+ * @param {number} params.ballRadius - Cannonball radius in pixels
+ * @param {number} params.originX - Cannon pivot X position
+ * @param {number} params.originY - Cannon pivot Y position
+ * @param {number} params.barrelLength - Distance from pivot to muzzle
+ * @param {number} [params.wind=0] - Sideways wind in gravity units (PhysicsWorld.getWind)
+ * @param {number} [params.drag=0] - Extra air friction (PhysicsWorld.getAirDrag)
+ * @returns {Float64Array} - Flat [x, y, speed, x, y, speed, ...] samples per step
+ */
+export function simulateTrajectory({
+  angle,
+  speed,
+  gravity,
+  ballRadius,
+  originX,
+  originY,
+  barrelLength,
+  wind = 0,
+  drag = 0,
+}) {
+  const friction = CONFIG.PHYSICS.CANNONBALL_FRICTION_AIR + drag;
+  const frictionAir = 1 - friction * (STEP_MS / BASE_DELTA);
+  const gravityStep = gravity * GRAVITY_SCALE * STEP_MS * STEP_MS;
+  const windStep = wind * GRAVITY_SCALE * STEP_MS * STEP_MS;
+  const samples = [];
+
+  let x = originX + Math.cos(-angle) * barrelLength;
+  let y = originY + Math.sin(-angle) * barrelLength;
+  let vx = Math.cos(-angle) * speed;
+  let vy = Math.sin(-angle) * speed;
+  let previousDelta = BASE_DELTA; // A new body's deltaTime
+  samples.push(x, y, speed);
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    const correction = STEP_MS / previousDelta;
+    previousDelta = STEP_MS;
+
+    vx = vx * correction * frictionAir + windStep;
+    vy = vy * correction * frictionAir + gravityStep;
+    x += vx;
+    y += vy;
+    samples.push(x, y, Math.sqrt(vx * vx + vy * vy));
+
+    const hitGround = y + ballRadius >= CONFIG.PHYSICS.GROUND_Y;
+    const offScreen = y > CONFIG.CANVAS.HEIGHT + 100;
+    if (hitGround || offScreen) {
+      break;
+    }
+  }
+
+  return Float64Array.from(samples);
+}
+
+/**
+ * Closest approach of a simulated flight to a target, only counting the
+ * part of the flight fast enough to do damage
+ * @param {Float64Array} samples - Output of simulateTrajectory
+ * @param {number} targetX - Target X position in pixels
+ * @param {number} targetY - Target Y position in pixels
+ * @returns {number} - Distance in pixels (Infinity if never fast enough)
+ */
+export function getMissDistance(samples, targetX, targetY) {
+  let best = Infinity;
+
+  for (let i = 3; i < samples.length; i += 3) {
+    if (samples[i + 2] < MIN_DAMAGE_VELOCITY) {
+      continue;
+    }
+
+    // Distance from the target to the segment travelled during this step
+    const ax = samples[i - 3];
+    const ay = samples[i - 2];
+    const dx = samples[i] - ax;
+    const dy = samples[i + 1] - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t =
+      lengthSquared > 0
+        ? Math.max(
+            0,
+            Math.min(
+              1,
+              ((targetX - ax) * dx + (targetY - ay) * dy) / lengthSquared
+            )
+          )
+        : 0;
+    const distance = Math.hypot(ax + t * dx - targetX, ay + t * dy - targetY);
+    best = Math.min(best, distance);
+  }
+
+  return best;
+}
+
+/**
+ * Whole-degree trajectories for a launch setup, cached
+ * @param {Object} launch - Parameters for simulateTrajectory, minus angle
+ * @returns {Float64Array[]} - Trajectories indexed by degree - SOLVER_MIN_ANGLE
+ */
+function getTrajectorySweep(launch) {
+  const key = [
+    launch.speed,
+    launch.gravity,
+    launch.ballRadius,
+    launch.originX,
+    launch.originY,
+    launch.barrelLength,
+    launch.wind,
+    launch.drag,
+  ].join(':');
+
+  if (trajectoryCache.has(key)) {
+    return trajectoryCache.get(key);
+  }
+
+  const sweep = [];
+  for (let degrees = SOLVER_MIN_ANGLE; degrees <= SOLVER_MAX_ANGLE; degrees++) {
+    sweep.push(simulateTrajectory({ ...launch, angle: toRadians(degrees) }));
+  }
+
+  if (trajectoryCache.size >= TRAJECTORY_CACHE_LIMIT) {
+    trajectoryCache.delete(trajectoryCache.keys().next().value);
+  }
+  trajectoryCache.set(key, sweep);
+  return sweep;
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Golden-section search for the angle with the smallest miss in a range
+ * @param {function(number): number} missAt - Miss distance for an angle in degrees
+ * @param {number} low - Lower bound in degrees
+ * @param {number} high - Upper bound in degrees
+ * @returns {number} - Best angle found, in degrees
+ */
+function refineAngle(missAt, low, high) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  for (let iteration = 0; iteration < 16; iteration++) {
+    const a = high - ratio * (high - low);
+    const b = low + ratio * (high - low);
+    if (missAt(a) < missAt(b)) {
+      high = b;
+    } else {
+      low = a;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Compute launch angles numerically by simulating flights. Every local
+ * minimum of the miss distance over a 1 degree sweep (typically one flat and
+ * one lofted shot) is refined with a golden-section search, and kept if the
+ * refined flight passes within the ball radius of the target.
+ *
+ * @param {Object} params - The solver parameters
+ * @param {number} params.targetX - Target X position in pixels
+ * @param {number} params.targetY - Target Y position in pixels
+ * @param {number} params.gravity - World gravity
+ * @param {number} params.speed - Muzzle speed in pixels per step
+ * @param {number} params.ballRadius - Cannonball radius in pixels
+ * @param {number} params.originX - Cannon pivot X position
+ * @param {number} params.originY - Cannon pivot Y position
+ * @param {number} params.barrelLength - Distance from pivot to muzzle
+ * @param {number} [params.wind=0] - Sideways wind in gravity units
+ * @param {number} [params.drag=0] - Extra air friction
+ * @returns {null|number[]} - null if unreachable, otherwise angles in radians (best first)
+ */
+export function solveLaunchAngles(params) {
+  const solutions = solveLaunchSolutions(params);
+  return solutions ? solutions.map((solution) => solution.angle) : null;
+}
+
+/**
+ * solveLaunchAngles with the predicted miss distance of each angle
+ * @param {Object} params - Same as solveLaunchAngles
+ * @returns {null|{angle: number, miss: number, source: string}[]} - null if unreachable, otherwise solutions sorted by miss
+ */
+function solveLaunchSolutions({ targetX, targetY, ...launch }) {
+  const sweep = getTrajectorySweep(launch);
+  const misses = sweep.map((samples) =>
+    getMissDistance(samples, targetX, targetY)
+  );
+  const missAt = (degrees) =>
+    getMissDistance(
+      simulateTrajectory({ ...launch, angle: toRadians(degrees) }),
+      targetX,
+      targetY
+    );
+
+  const solutions = [];
+  for (let i = 0; i < misses.length; i++) {
+    const isLocalMinimum =
+      misses[i] < Infinity &&
+      (i === 0 || misses[i] <= misses[i - 1]) &&
+      (i === misses.length - 1 || misses[i] < misses[i + 1]);
+    if (!isLocalMinimum) {
+      continue;
+    }
+
+    // Refine between the neighbouring whole degrees
+    const degrees = refineAngle(
+      missAt,
+      SOLVER_MIN_ANGLE + Math.max(0, i - 1),
+      SOLVER_MIN_ANGLE + Math.min(misses.length - 1, i + 1)
+    );
+    const miss = missAt(degrees);
+    if (miss <= launch.ballRadius + HIT_TOLERANCE) {
+      solutions.push({ angle: toRadians(degrees), miss, source: 'solver' });
+    }
+  }
+
+  if (solutions.length === 0) {
     return null;
   }
 
-  // Convert angles from degrees to radians
-  return angles.map((angleDegrees) => (angleDegrees * Math.PI) / 180);
+  return solutions.sort((a, b) => a.miss - b.miss);
 }
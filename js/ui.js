@@ -1,5 +1,20 @@
 // UI Management for HUD and interface
-import { formatNumber } from "./utils.js";
+import { CONFIG } from "./config.js";
+import { diffSaveData } from "./saveManager.js";
+import {
+  NUMBER_NOTATIONS,
+  formatNumber,
+  getNumberNotation,
+  setNumberNotation,
+} from "./utils.js";
+import { getUpgradeIds } from "./upgradeRegistry.js";
+
+// Upgrade buy modes: levels per click, or as many as the money covers
+const BUY_MODES = [
+  { id: 1, label: "x1" },
+  { id: 10, label: "x10" },
+  { id: "max", label: "Max" },
+];
 
 class UIManager {
   constructor(
@@ -14,9 +29,14 @@ class UIManager {
     this.onUpgradePurchased = onUpgradePurchased;
     this.cannon = cannon;
     this.prestigeManager = prestigeManager;
+    this.purchasePlanner = null; // Will be set by game
+    this.autoBuyer = null; // Will be set by game
+    this.economyLedger = null; // Will be set by game
     this.game = null; // Will be set by game
     this.isHidden = false;
     this.currentTab = "upgrades"; // 'upgrades', 'prestige', 'cannons'
+    this.buyMode = 1; // 1, 10 or "max" (see BUY_MODES)
+    this.incomePeriod = CONFIG.LEDGER.PERIODS[0].id; // Income tab period
     this.elements = {};
 
     this.initializeElements();
@@ -30,6 +50,43 @@ class UIManager {
 
   setGame(game) {
     this.game = game;
+
+    // Display settings live in the save like any other progress
+    this.game.saveManager.register("settings", this);
+    this.loadSettings();
+  }
+
+  // Settings section of the save document
+  getSaveData() {
+    return { notation: getNumberNotation() };
+  }
+
+  loadSettings() {
+    const data = this.game.saveManager.getSection("settings");
+    if (data) {
+      setNumberNotation(data.notation);
+      this.updateStats();
+      this.updateTabContent();
+    }
+  }
+
+  setPurchasePlanner(purchasePlanner) {
+    this.purchasePlanner = purchasePlanner;
+    if (this.currentTab === "upgrades") {
+      this.updateTabContent();
+    }
+  }
+
+  setEconomyLedger(economyLedger) {
+    this.economyLedger = economyLedger;
+    if (this.currentTab === "income") {
+      this.updateTabContent();
+    }
+  }
+
+  setAutoBuyer(autoBuyer) {
+    this.autoBuyer = autoBuyer;
+    this.updateTabVisibility();
   }
 
   // Method to set cannon reference after it's created
@@ -47,8 +104,11 @@ class UIManager {
       totalEarned: document.getElementById("totalEarned"),
       streakMultiplier: document.getElementById("streakMultiplier"),
       castlesDestroyed: document.getElementById("castlesDestroyed"),
+      flagsCaptured: document.getElementById("flagsCaptured"),
       upgradesContainer: document.getElementById("upgradesContainer"),
       resetProgress: document.getElementById("resetProgress"),
+      exportSave: document.getElementById("exportSave"),
+      importSave: document.getElementById("importSave"),
       worldName: document.getElementById("worldName"),
       worldNameTop: document.getElementById("worldNameTop"),
       worldDisplay: document.getElementById("worldDisplay"),
@@ -291,6 +351,18 @@ class UIManager {
       this.handleResetProgress();
     });
 
+    // Save export/import buttons
+    if (this.elements.exportSave) {
+      this.elements.exportSave.addEventListener("click", () => {
+        this.handleExportSave();
+      });
+    }
+    if (this.elements.importSave) {
+      this.elements.importSave.addEventListener("click", () => {
+        this.handleImportSave();
+      });
+    }
+
     // Auto-save when window closes
     window.addEventListener("beforeunload", () => {
       this.upgradeManager.saveProgress();
@@ -345,6 +417,13 @@ class UIManager {
           visible: () =>
             this.prestigeManager && this.prestigeManager.prestigeLevel > 0,
         },
+        {
+          id: "automation",
+          label: this.isMobile ? "Auto" : "Automation",
+          visible: () => this.autoBuyer && this.autoBuyer.isUnlocked(),
+        },
+        { id: "income", label: "Income", visible: true },
+        { id: "settings", label: "Settings", visible: true },
       ];
 
       tabs.forEach((tab) => {
@@ -422,6 +501,15 @@ class UIManager {
       case "cannons":
         this.createCannonCards();
         break;
+      case "automation":
+        this.createAutomationPanel();
+        break;
+      case "income":
+        this.createIncomePanel();
+        break;
+      case "settings":
+        this.createSettingsPanel();
+        break;
     }
   }
 
@@ -493,6 +581,201 @@ class UIManager {
     });
   }
 
+  createSettingsPanel() {
+    const panel = document.createElement("div");
+    panel.className = "settings-panel";
+    panel.innerHTML = `
+      <label>Number notation: <select>${NUMBER_NOTATIONS.map(
+        (notation) =>
+          `<option value="${notation.id}" ${
+            notation.id === getNumberNotation() ? "selected" : ""
+          }>${notation.name} (${notation.example})</option>`
+      ).join("")}</select></label>
+      <div class="settings-preview"></div>
+    `;
+
+    const select = panel.querySelector("select");
+    const preview = panel.querySelector(".settings-preview");
+    const showPreview = () => {
+      preview.textContent = `Examples: ${[12345, 6.7e9, 8.9e20, 1.2e40]
+        .map((value) => formatNumber(value))
+        .join(", ")}`;
+    };
+    select.addEventListener("change", () => {
+      setNumberNotation(select.value);
+      showPreview();
+      this.game.saveManager.save();
+      this.updateStats();
+    });
+
+    showPreview();
+    this.elements.upgradesContainer.appendChild(panel);
+  }
+
+  // Money earned and spent by source over a chosen period
+  createIncomePanel() {
+    if (!this.economyLedger) return;
+
+    const panel = document.createElement("div");
+    panel.className = "income-panel";
+    panel.innerHTML = `
+      <label>Period: <select>${CONFIG.LEDGER.PERIODS.map(
+        (period) =>
+          `<option value="${period.id}" ${
+            period.id === this.incomePeriod ? "selected" : ""
+          }>${period.name}</option>`
+      ).join("")}</select></label>
+      <table class="income-breakdown"></table>
+    `;
+
+    const select = panel.querySelector("select");
+    select.addEventListener("change", () => {
+      this.incomePeriod = select.value;
+      this.updateIncomeBreakdown();
+    });
+
+    this.elements.upgradesContainer.appendChild(panel);
+    this.updateIncomeBreakdown();
+  }
+
+  updateIncomeBreakdown() {
+    const table = document.querySelector(".income-breakdown");
+    if (!table || !this.economyLedger) return;
+
+    const breakdown = this.economyLedger.getBreakdown(this.incomePeriod);
+    const money = (amount, sign) => `${sign}$${formatNumber(amount)}`;
+    const addRow = (label, value, share = null, className = "") => {
+      const row = table.insertRow();
+      row.className = className;
+      row.insertCell().textContent = label;
+      row.insertCell().textContent = value;
+      const shareCell = row.insertCell();
+      if (share !== null) {
+        shareCell.innerHTML = `
+          <span class="income-bar"><span style="width: ${share}%"></span></span>
+          ${share.toFixed(1)}%
+        `;
+      }
+    };
+
+    table.innerHTML = "";
+    for (const source of breakdown.sources) {
+      if (source.kind === "credit") {
+        addRow(source.name, money(source.amount, "+"), source.share || 0);
+      }
+    }
+    addRow("Total earned", money(breakdown.income, "+"), null, "income-total");
+
+    for (const source of breakdown.sources) {
+      if (source.kind === "debit") {
+        const value =
+          source.currency === "gems"
+            ? `-💎 ${formatNumber(source.amount)}`
+            : money(source.amount, "-");
+        addRow(source.name, value);
+      }
+    }
+    addRow(
+      "Net money",
+      breakdown.net.isNegative()
+        ? money(breakdown.net.mul(-1), "-")
+        : money(breakdown.net, "+"),
+      null,
+      "income-total"
+    );
+  }
+
+  // Auto-buyer rules and its log of automated actions
+  createAutomationPanel() {
+    if (!this.autoBuyer) return;
+
+    const autoBuyer = this.autoBuyer;
+    const maxStreak = CONFIG.MONEY.MAX_STREAK_MULTIPLIER;
+    const panel = document.createElement("div");
+    panel.className = "automation-panel";
+    panel.innerHTML = `
+      <label><input type="checkbox" data-rule="enabled"> Auto-buyer on</label>
+      <div class="automation-heading">Priority</div>
+      <div class="automation-priority"></div>
+      <label><input type="checkbox" data-rule="onlyAtMaxStreak">
+        Only buy at the max streak (x${maxStreak})</label>
+      <label>Keep <input type="number" min="0" max="100" step="5"
+        data-rule="reservePercent">% of money in reserve</label>
+      <label><input type="checkbox" data-rule="autoAdvance">
+        Advance to the next world when complete</label>
+      <div class="automation-heading">Log</div>
+      <ul class="automation-log"></ul>
+    `;
+
+    panel.querySelectorAll("input[data-rule]").forEach((input) => {
+      const rule = input.dataset.rule;
+      if (input.type === "checkbox") {
+        input.checked = autoBuyer[rule];
+        input.addEventListener("change", () => {
+          autoBuyer.setRule(rule, input.checked);
+        });
+      } else {
+        input.value = autoBuyer[rule];
+        input.addEventListener("change", () => {
+          const percent = Math.max(0, Math.min(100, Number(input.value) || 0));
+          input.value = percent;
+          autoBuyer.setRule(rule, percent);
+        });
+      }
+    });
+
+    this.elements.upgradesContainer.appendChild(panel);
+    this.updateAutomationPriority();
+    this.updateAutomationLog();
+  }
+
+  updateAutomationPriority() {
+    const list = document.querySelector(".automation-priority");
+    if (!list) return;
+
+    list.innerHTML = "";
+    this.autoBuyer.priority.forEach((type, index) => {
+      const row = document.createElement("div");
+      row.className = "automation-priority-row";
+      row.innerHTML = `
+        <span>${index + 1}. ${this.upgradeManager.getUpgradeName(type)}</span>
+        <button data-direction="-1" ${
+          index === 0 ? "disabled" : ""
+        }>▲</button>
+        <button data-direction="1" ${
+          index === this.autoBuyer.priority.length - 1 ? "disabled" : ""
+        }>▼</button>
+      `;
+      row.querySelectorAll("button").forEach((button) => {
+        button.addEventListener("click", () => {
+          this.autoBuyer.movePriority(type, Number(button.dataset.direction));
+          this.updateAutomationPriority();
+        });
+      });
+      list.appendChild(row);
+    });
+  }
+
+  updateAutomationLog() {
+    const list = document.querySelector(".automation-log");
+    if (!list || !this.autoBuyer) return;
+
+    const entries = this.autoBuyer.log.slice().reverse();
+    list.innerHTML = "";
+    if (entries.length === 0) {
+      const item = document.createElement("li");
+      item.textContent = "Nothing automated yet";
+      list.appendChild(item);
+    }
+    for (const entry of entries) {
+      const item = document.createElement("li");
+      item.textContent = `${new Date(entry.time).toLocaleTimeString()} ${
+        entry.message
+      }`;
+      list.appendChild(item);
+    }
+  }
+
   createCannonCard(cannon, isSelected) {
     const card = document.createElement("div");
     card.className = `cannon-card ${isSelected ? "selected" : ""}`;
@@ -512,6 +795,32 @@ class UIManager {
       </button>
     `;
 
+    // Targeting strategy picker, once Smart Targeting offers a choice
+    const strategies = this.prestigeManager.getUnlockedTargetingStrategies();
+    if (strategies.length > 1) {
+      const current = this.prestigeManager.getTargetingStrategy(cannon.id);
+      const targeting = document.createElement("div");
+      targeting.className = "cannon-targeting";
+      targeting.innerHTML = `
+        Targeting: <select>${strategies
+          .map(
+            (strategy) =>
+              `<option value="${strategy.id}" title="${strategy.description}" ${
+                strategy.id === current ? "selected" : ""
+              }>${strategy.name}</option>`
+          )
+          .join("")}</select>
+      `;
+
+      const select = targeting.querySelector("select");
+      select.addEventListener("click", (event) => event.stopPropagation());
+      select.addEventListener("change", () => {
+        this.handleTargetingSelect(cannon.id, select.value);
+      });
+
+      card.insertBefore(targeting, card.querySelector(".cannon-button"));
+    }
+
     // Add click handler for select button
     const button = card.querySelector(".cannon-button");
     button.addEventListener("click", () => {
@@ -557,6 +866,18 @@ class UIManager {
     }
   }
 
+  handleTargetingSelect(cannonId, strategyId) {
+    if (
+      this.prestigeManager &&
+      this.prestigeManager.selectTargetingStrategy(strategyId, cannonId)
+    ) {
+      const strategy = CONFIG.TARGETING.STRATEGIES.find(
+        (s) => s.id === strategyId
+      );
+      this.showNotification(`Targeting: ${strategy.name}`, "success");
+    }
+  }
+
   handleCannonSelect(cannonId) {
     if (this.prestigeManager && this.prestigeManager.selectCannon(cannonId)) {
       this.updateTabContent();
@@ -567,7 +888,12 @@ class UIManager {
     }
   }
   createUpgradeCards() {
-    const upgradeTypes = ["fireRate", "size"];
+    this.elements.upgradesContainer.appendChild(this.createBuyModeBar());
+    if (this.purchasePlanner) {
+      this.elements.upgradesContainer.appendChild(this.createPlannerBar());
+    }
+
+    const upgradeTypes = getUpgradeIds();
 
     upgradeTypes.forEach((type) => {
       const card = this.createUpgradeCard(type);
@@ -575,8 +901,88 @@ class UIManager {
     });
   }
 
+  createBuyModeBar() {
+    const bar = document.createElement("div");
+    bar.className = "buy-mode-bar";
+
+    BUY_MODES.forEach((mode) => {
+      const button = document.createElement("button");
+      button.className = `buy-mode-button ${
+        this.buyMode === mode.id ? "active" : ""
+      }`;
+      button.dataset.buyMode = mode.id;
+      button.textContent = mode.label;
+      button.addEventListener("click", () => this.setBuyMode(mode.id));
+
+      if (this.isMobile) {
+        this.addMobileTouchFeedback(button);
+      }
+
+      bar.appendChild(button);
+    });
+
+    return bar;
+  }
+
+  createPlannerBar() {
+    const bar = document.createElement("div");
+    bar.className = "planner-bar";
+    bar.innerHTML = `
+            <span class="planner-summary"></span>
+            <button class="planner-clear">Clear</button>
+        `;
+
+    bar.querySelector(".planner-clear").addEventListener("click", () => {
+      this.purchasePlanner.clearQueue();
+      this.updateAllUpgradeCards();
+    });
+
+    this.updatePlannerBar(bar);
+    return bar;
+  }
+
+  updatePlannerBar(bar = document.querySelector(".planner-bar")) {
+    if (!bar || !this.purchasePlanner) return;
+
+    bar.querySelector(".planner-summary").textContent =
+      this.purchasePlanner.getQueueSummary();
+    bar.querySelector(".planner-clear").style.display =
+      this.purchasePlanner.isQueueEmpty() ? "none" : "";
+  }
+
+  setBuyMode(mode) {
+    this.buyMode = mode;
+
+    document.querySelectorAll(".buy-mode-button").forEach((button) => {
+      button.classList.toggle("active", button.dataset.buyMode === `${mode}`);
+    });
+
+    this.updateAllUpgradeCards();
+  }
+
+  getUpgradeButtonText(upgradeInfo) {
+    if (upgradeInfo.isMaxed) return "MAXED";
+    return upgradeInfo.buyCount > 1
+      ? `UPGRADE x${upgradeInfo.buyCount}`
+      : "UPGRADE";
+  }
+
+  // Resulting level and effect of the levels the buy mode would purchase
+  getUpgradePreview(upgradeInfo) {
+    if (upgradeInfo.isMaxed) return "";
+    const description = this.upgradeManager.getUpgradeDescription(
+      upgradeInfo.type,
+      upgradeInfo.nextEffectPercent,
+      false
+    );
+    return `→ Level ${upgradeInfo.nextLevel}: ${description}`;
+  }
+
   createUpgradeCard(upgradeType) {
-    const upgradeInfo = this.upgradeManager.getUpgradeInfo(upgradeType);
+    const upgradeInfo = this.upgradeManager.getUpgradeInfo(
+      upgradeType,
+      this.buyMode
+    );
 
     const card = document.createElement("div");
     card.className = "upgrade-card";
@@ -598,12 +1004,19 @@ class UIManager {
               upgradeInfo.costFormatted
             }</span></div>
             <div class="upgrade-effect">${upgradeInfo.description}</div>
+            <div class="upgrade-preview">${this.getUpgradePreview(
+              upgradeInfo
+            )}</div>
+            <div class="upgrade-streak"></div>
+            <div class="upgrade-advice"></div>
             <button class="upgrade-button" ${
               !upgradeInfo.canAfford || upgradeInfo.isMaxed ? "disabled" : ""
             }>
-                ${upgradeInfo.isMaxed ? "MAXED" : "UPGRADE"}
+                ${this.getUpgradeButtonText(upgradeInfo)}
             </button>
+            <button class="queue-button">QUEUE</button>
         `;
+    this.updatePlannerInfo(card, upgradeInfo);
 
     // Add click handler for upgrade button
     const button = card.querySelector(".upgrade-button");
@@ -611,14 +1024,70 @@ class UIManager {
       this.handleUpgrade(upgradeType);
     });
 
+    const queueButton = card.querySelector(".queue-button");
+    queueButton.addEventListener("click", () => {
+      this.handleQueueUpgrade(upgradeType);
+    });
+
     // Add mobile-specific touch feedback
     if (this.isMobile) {
       this.addMobileTouchFeedback(button);
+      this.addMobileTouchFeedback(queueButton);
     }
 
     return card;
   }
 
+  // What the money streak is worth, what buying now would lose and the
+  // planner's advice for the selected buy mode
+  updatePlannerInfo(card, upgradeInfo) {
+    const streakDiv = card.querySelector(".upgrade-streak");
+    const adviceDiv = card.querySelector(".upgrade-advice");
+    const queueButton = card.querySelector(".queue-button");
+
+    if (!this.purchasePlanner || upgradeInfo.isMaxed) {
+      streakDiv.textContent = "";
+      adviceDiv.textContent = "";
+      queueButton.style.display = "none";
+      return;
+    }
+
+    const loss = this.upgradeManager.getStreakResetLoss();
+    streakDiv.textContent =
+      !loss.isZero()
+        ? `Streak worth +$${formatNumber(
+            this.upgradeManager.getStreakValue()
+          )}/castle, buying now loses ~$${formatNumber(loss)}`
+        : "No streak to lose";
+
+    const advice = this.purchasePlanner.getAdvice(
+      upgradeInfo.type,
+      this.buyMode
+    );
+    adviceDiv.textContent = advice.message;
+    adviceDiv.className = `upgrade-advice advice-${advice.action}`;
+
+    const queued = this.purchasePlanner.getQueuedLevels(upgradeInfo.type);
+    queueButton.style.display = "";
+    queueButton.textContent = queued > 0 ? `QUEUE (${queued} queued)` : "QUEUE";
+    queueButton.disabled = upgradeInfo.level + queued >= upgradeInfo.levelCap;
+  }
+
+  handleQueueUpgrade(upgradeType) {
+    const { buyCount } = this.upgradeManager.getUpgradeInfo(
+      upgradeType,
+      this.buyMode
+    );
+    const added = this.purchasePlanner.queueUpgrade(upgradeType, buyCount);
+    if (added > 0) {
+      this.showNotification(
+        `${this.upgradeManager.getUpgradeName(upgradeType)} x${added} queued`,
+        "success"
+      );
+    }
+    this.updateAllUpgradeCards();
+  }
+
   addMobileTouchFeedback(button) {
     button.style.touchAction = "manipulation";
 
@@ -643,14 +1112,18 @@ class UIManager {
   }
 
   handleUpgrade(upgradeType) {
-    if (this.upgradeManager.purchaseUpgrade(upgradeType)) {
+    const levelBefore = this.upgradeManager.getUpgradeLevel(upgradeType);
+    if (this.upgradeManager.purchaseUpgrade(upgradeType, this.buyMode)) {
       // Update the UI
       this.updateUpgradeCard(upgradeType);
       this.updateStats();
 
       // Notify the game that an upgrade was purchased
       if (this.onUpgradePurchased) {
-        this.onUpgradePurchased(upgradeType);
+        this.onUpgradePurchased(
+          upgradeType,
+          this.upgradeManager.getUpgradeLevel(upgradeType) - levelBefore
+        );
       }
 
       // Visual feedback
@@ -662,7 +1135,10 @@ class UIManager {
     const card = document.querySelector(`[data-upgrade-type="${upgradeType}"]`);
     if (!card) return;
 
-    const upgradeInfo = this.upgradeManager.getUpgradeInfo(upgradeType);
+    const upgradeInfo = this.upgradeManager.getUpgradeInfo(
+      upgradeType,
+      this.buyMode
+    );
 
     // Update values
     card.querySelector(".level-value").textContent = upgradeInfo.level;
@@ -673,18 +1149,23 @@ class UIManager {
 
     card.querySelector(".cost-value").textContent = upgradeInfo.costFormatted;
     card.querySelector(".upgrade-effect").textContent = upgradeInfo.description;
+    card.querySelector(".upgrade-preview").textContent =
+      this.getUpgradePreview(upgradeInfo);
 
     // Update button state
     const button = card.querySelector(".upgrade-button");
     button.disabled = !upgradeInfo.canAfford || upgradeInfo.isMaxed;
-    button.textContent = upgradeInfo.isMaxed ? "MAXED" : "UPGRADE";
+    button.textContent = this.getUpgradeButtonText(upgradeInfo);
+
+    this.updatePlannerInfo(card, upgradeInfo);
   }
 
   updateAllUpgradeCards() {
-    const upgradeTypes = ["fireRate", "size"];
+    const upgradeTypes = getUpgradeIds();
     upgradeTypes.forEach((type) => {
       this.updateUpgradeCard(type);
     });
+    this.updatePlannerBar();
   }
 
   showUpgradeEffect(upgradeType, isPrestige = false) {
@@ -714,6 +1195,7 @@ class UIManager {
     this.elements.moneyAmount.textContent = displayValues.money;
     this.elements.totalEarned.textContent = displayValues.totalEarned;
     this.elements.castlesDestroyed.textContent = displayValues.castlesDestroyed;
+    this.elements.flagsCaptured.textContent = displayValues.flagsCaptured;
 
     // Update money streak multiplier display
     const streak = this.upgradeManager.getStreakProgress();
@@ -774,6 +1256,12 @@ class UIManager {
       this.updateTabContent();
     } else if (this.currentTab === "cannons") {
       this.updateTabContent();
+    } else if (this.currentTab === "automation") {
+      // Rebuilding the panel would interrupt editing the rules
+      this.updateAutomationLog();
+    } else if (this.currentTab === "income") {
+      // Rebuilding the panel would close the period menu
+      this.updateIncomeBreakdown();
     } else {
       // Update regular upgrade affordability
       this.updateAllUpgradeCards();
@@ -797,6 +1285,13 @@ class UIManager {
     if (cannonsTab) {
       cannonsTab.style.display = showPrestigeTabs ? "inline-block" : "none";
     }
+
+    // The automation tab appears once the Auto-Buyer upgrade is bought
+    const automationTab = document.getElementById("automationTab");
+    if (automationTab) {
+      const showAutomation = this.autoBuyer && this.autoBuyer.isUnlocked();
+      automationTab.style.display = showAutomation ? "inline-block" : "none";
+    }
   }
 
   toggleHUD() {
@@ -811,7 +1306,7 @@ class UIManager {
 
   // Check if any upgrade is affordable
   canAffordAnyUpgrade() {
-    const upgradeTypes = ["fireRate", "size"];
+    const upgradeTypes = getUpgradeIds();
     return upgradeTypes.some((type) => {
       const upgradeInfo = this.upgradeManager.getUpgradeInfo(type);
       return upgradeInfo.canAfford && !upgradeInfo.isMaxed;
@@ -1007,6 +1502,369 @@ class UIManager {
     }
   }
 
+  // Show the current progress as a save code that can be copied
+  async handleExportSave() {
+    if (!this.game) return;
+
+    let code;
+    try {
+      code = await this.game.saveManager.exportString();
+    } catch (e) {
+      console.warn("Failed to export save:", e);
+      this.showNotification("Could not export save", "error");
+      return;
+    }
+
+    const dialog = this.createDialog("Export Save");
+    dialog.addText(
+      "Copy this code and use Import Save in another browser to continue."
+    );
+    const textarea = dialog.addTextarea(code, true);
+    dialog.addButton("Copy", "#27ae60", async () => {
+      textarea.select();
+      try {
+        await navigator.clipboard.writeText(code);
+        this.showNotification("Save code copied!", "success");
+      } catch (e) {
+        // Clipboard access can be denied; the code is selected instead
+        document.execCommand("copy");
+      }
+    });
+    dialog.addButton("Close", "#7f8c8d", () => dialog.close());
+  }
+
+  // Ask for a save code, validate it and confirm the changes before applying
+  handleImportSave() {
+    if (!this.game) return;
+
+    const dialog = this.createDialog("Import Save");
+    dialog.addText("Paste a save code exported from Idle Cannon.");
+    const textarea = dialog.addTextarea("", false);
+    const message = dialog.addText("");
+    message.style.color = "#e74c3c";
+
+    dialog.addButton("Check Code", "#27ae60", async () => {
+      let result;
+      try {
+        result = await this.game.saveManager.parseExportString(textarea.value);
+      } catch (e) {
+        message.textContent = e.message;
+        return;
+      }
+      dialog.close();
+      this.showImportSummary(result.saveData, result.repairs);
+    });
+    dialog.addButton("Cancel", "#7f8c8d", () => dialog.close());
+    textarea.focus();
+  }
+
+  // Summary diff of the imported save against the current one
+  showImportSummary(saveData, repairs) {
+    const saveManager = this.game.saveManager;
+    saveManager.save();
+    const changes = diffSaveData(saveManager.saveData, saveData);
+
+    const dialog = this.createDialog("Import Save?");
+    if (changes.length === 0) {
+      dialog.addText("This save matches your current progress.");
+    } else {
+      dialog.addText("Your current progress will be replaced:");
+      const list = document.createElement("ul");
+      list.style.cssText = `
+        color: #ecf0f1;
+        text-align: left;
+        margin: 0 0 20px 0;
+        padding-left: 20px;
+        line-height: 1.5;
+      `;
+      for (const change of changes) {
+        const item = document.createElement("li");
+        item.textContent = this.describeSaveChange(change);
+        list.appendChild(item);
+      }
+      dialog.addElement(list);
+    }
+    if (repairs.length > 0) {
+      const note = dialog.addText(
+        `${repairs.length} invalid value(s) in the code were corrected.`
+      );
+      note.style.color = "#f39c12";
+    }
+
+    dialog.addButton("Import", "#e74c3c", () => {
+      dialog.close();
+      this.game.applyImportedSave(saveData);
+      this.updateStats();
+      this.updateTabContent();
+      this.showNotification("Save imported!", "success");
+    });
+    dialog.addButton("Cancel", "#7f8c8d", () => dialog.close());
+  }
+
+  describeSaveChange({ section, field, key, from, to }) {
+    const worldName = (id) => {
+      const world = CONFIG.WORLDS.find((w) => w.id === id);
+      return world ? `${id}: ${world.name}` : `${id}`;
+    };
+    const cannonName = (id) => {
+      const cannon = CONFIG.PRESTIGE.CANNONS.find((c) => c.id === id);
+      return cannon ? cannon.name : `${id}`;
+    };
+
+    if (field === "upgrades") {
+      const name = this.upgradeManager.getUpgradeName(key);
+      return `${name}: level ${from} → ${to}`;
+    }
+    if (field === "priority") {
+      const name = (type) =>
+        type ? this.upgradeManager.getUpgradeName(type) : "none";
+      return `Auto-buyer priority ${Number(key) + 1}: ${name(from)} → ${name(
+        to
+      )}`;
+    }
+    if (field === "totals") {
+      const source = CONFIG.LEDGER.SOURCES.find((s) => s.id === key);
+      const amount = (v) =>
+        source.currency === "gems"
+          ? `💎 ${formatNumber(v)}`
+          : `$${formatNumber(v)}`;
+      return `${source.name} (all time): ${amount(from)} → ${amount(to)}`;
+    }
+    if (field === "queue") {
+      const name = this.upgradeManager.getUpgradeName(key);
+      return `${name}: ${from} → ${to} queued`;
+    }
+    if (field === "prestigeUpgrades") {
+      const name = CONFIG.PRESTIGE.UPGRADES[key].name;
+      return `${name}: level ${from} → ${to}`;
+    }
+    if (field === "corrections") {
+      const shots = (cells) =>
+        Object.values(cells || {}).reduce((sum, cell) => sum + cell.samples, 0);
+      return `Aim calibration (world ${worldName(Number(key))}): ${shots(
+        from
+      )} → ${shots(to)} shots`;
+    }
+    if (field === "targetingStrategies") {
+      const strategyName = (id) => {
+        const strategy = CONFIG.TARGETING.STRATEGIES.find(
+          (s) => s.id === (id || CONFIG.TARGETING.DEFAULT_STRATEGY)
+        );
+        return strategy ? strategy.name : id;
+      };
+      return `${cannonName(Number(key))} targeting: ${strategyName(
+        from
+      )} → ${strategyName(to)}`;
+    }
+
+    const formats = {
+      money: ["Money", (v) => `$${formatNumber(v)}`],
+      totalEarned: ["Total earned", (v) => `$${formatNumber(v)}`],
+      castlesDestroyed: ["Castles destroyed", formatNumber],
+      castlesDestroyedSinceLastUpgrade: ["Streak castles", formatNumber],
+      flagsCaptured: ["Flags captured", formatNumber],
+      averageCastleReward: [
+        "Average castle reward",
+        (v) => `$${formatNumber(v)}`,
+      ],
+      averageSecondsPerCastle: [
+        "Seconds per castle",
+        (v) => (v > 0 ? `${v.toFixed(1)}s` : "not timed yet"),
+      ],
+      prestigeLevel: ["Prestige level", String],
+      gems: ["Gems", formatNumber],
+      notation: [
+        "Number notation",
+        (id) => NUMBER_NOTATIONS.find((notation) => notation.id === id).name,
+      ],
+      selectedCannonId: ["Cannon", cannonName],
+      currentWorldId: ["World", worldName],
+      castlesDestroyedInCurrentWorld: ["Castles in world", formatNumber],
+      isReadyForNextWorld: ["World complete", (v) => (v ? "yes" : "no")],
+      enabled: ["Auto-buyer", (v) => (v ? "on" : "off")],
+      onlyAtMaxStreak: [
+        "Auto-buy at max streak only",
+        (v) => (v ? "yes" : "no"),
+      ],
+      reservePercent: ["Auto-buyer reserve", (v) => `${v}%`],
+      autoAdvance: ["Auto-advance worlds", (v) => (v ? "yes" : "no")],
+    };
+    const [label, format] = formats[field] || [`${section}.${field}`, String];
+    const before = from === undefined ? "none" : format(from);
+    return `${label}: ${before} → ${format(to)}`;
+  }
+
+  // Welcome-back summary of offline progress
+  showWelcomeBack(report) {
+    const hours = Math.floor(report.seconds / 3600);
+    const minutes = Math.floor((report.seconds % 3600) / 60);
+    const awayText = hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+
+    const dialog = this.createDialog("Welcome Back!");
+    dialog.addText(
+      `Your cannon kept firing while you were away for ${awayText}.`
+    );
+    if (report.wasCapped) {
+      dialog.addText(
+        `Offline time is capped at ${CONFIG.OFFLINE.MAX_HOURS} hours.`
+      );
+    }
+
+    const rows = [
+      ["Castles destroyed", formatNumber(report.castles)],
+      ["Castle rewards", `$${formatNumber(report.castleMoney)}`],
+    ];
+    if (report.passiveMoney > 0) {
+      rows.push(["Passive income", `$${formatNumber(report.passiveMoney)}`]);
+    }
+    if (report.gems > 0) {
+      rows.push(["Gems", `💎 ${formatNumber(report.gems)}`]);
+    }
+    rows.push(["Streak bonus now", `${report.streakMultiplier}x`]);
+    rows.push(["Total earned", `$${formatNumber(report.money)}`]);
+
+    const table = document.createElement("table");
+    table.style.cssText = `
+      color: #ecf0f1;
+      margin: 0 auto 20px auto;
+      border-collapse: collapse;
+      line-height: 1.6;
+    `;
+    for (const [label, value] of rows) {
+      const row = table.insertRow();
+      const labelCell = row.insertCell();
+      labelCell.textContent = label;
+      labelCell.style.cssText = "text-align: left; padding-right: 20px;";
+      const valueCell = row.insertCell();
+      valueCell.textContent = value;
+      valueCell.style.cssText = "text-align: right; font-weight: bold;";
+    }
+    dialog.addElement(table);
+
+    dialog.addButton("Collect", "#27ae60", () => {
+      dialog.close();
+      this.updateStats();
+    });
+  }
+
+  // Minimal modal dialog for forms; styled like showModal
+  createDialog(title) {
+    const isMobile = window.innerWidth <= 768;
+
+    const overlay = document.createElement("div");
+    overlay.className = "game-modal-overlay";
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.8);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 2000;
+      font-family: Arial, sans-serif;
+      padding: 20px;
+      box-sizing: border-box;
+    `;
+
+    const modal = document.createElement("div");
+    modal.className = "game-modal";
+    modal.style.cssText = `
+      background: linear-gradient(135deg, #2c3e50, #34495e);
+      border: 3px solid #f39c12;
+      border-radius: 15px;
+      padding: ${isMobile ? "20px" : "30px"};
+      text-align: center;
+      box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
+      max-width: ${isMobile ? "90%" : "500px"};
+      width: ${isMobile ? "100%" : "90%"};
+      max-height: 90vh;
+      overflow-y: auto;
+    `;
+
+    const titleElement = document.createElement("h2");
+    titleElement.textContent = title;
+    titleElement.style.cssText = `
+      color: #f39c12;
+      margin: 0 0 15px 0;
+      text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.5);
+    `;
+    modal.appendChild(titleElement);
+
+    const buttons = document.createElement("div");
+    modal.appendChild(buttons);
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+
+    const close = () => {
+      if (overlay.parentNode) {
+        document.body.removeChild(overlay);
+      }
+      document.removeEventListener("keydown", handleEscape);
+    };
+    const handleEscape = (e) => {
+      if (e.key === "Escape") close();
+    };
+    document.addEventListener("keydown", handleEscape);
+
+    const addElement = (element) => {
+      modal.insertBefore(element, buttons);
+      return element;
+    };
+
+    return {
+      close,
+      addElement,
+      addText: (text) => {
+        const paragraph = document.createElement("p");
+        paragraph.textContent = text;
+        paragraph.style.cssText = `
+          color: #ecf0f1;
+          margin: 0 0 15px 0;
+          line-height: 1.4;
+        `;
+        return addElement(paragraph);
+      },
+      addTextarea: (value, readOnly) => {
+        const textarea = document.createElement("textarea");
+        textarea.value = value;
+        textarea.readOnly = readOnly;
+        textarea.rows = 5;
+        textarea.spellcheck = false;
+        textarea.style.cssText = `
+          width: 100%;
+          box-sizing: border-box;
+          margin: 0 0 15px 0;
+          font-family: monospace;
+          font-size: 12px;
+          word-break: break-all;
+        `;
+        return addElement(textarea);
+      },
+      addButton: (text, color, onClick) => {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.style.cssText = `
+          background: ${color};
+          color: white;
+          border: none;
+          padding: 10px 20px;
+          margin: 0 5px;
+          font-weight: bold;
+          border-radius: 8px;
+          cursor: pointer;
+          min-height: ${isMobile ? "44px" : "auto"};
+          touch-action: manipulation;
+        `;
+        button.addEventListener("click", onClick);
+        buttons.appendChild(button);
+        return button;
+      },
+    };
+  }
+
   // Show notification messages
   showNotification(message, type = "info") {
     // Simple notification - could be enhanced with a proper notification system
@@ -0,0 +1,88 @@
+// Upgrade registry - the cannon upgrades bought with money in each world
+import { CONFIG } from "./config.js";
+
+// Every regular upgrade, in the order the cards are shown. The economy, save
+// validation, world completion and the UI all read from here, so a new
+// upgrade only needs an entry (and something that uses its effect).
+//
+//   name, description      card text; {percent} is the effect at the level
+//   baseCost               price of the first level
+//   costMultiplier         price growth per level
+//   cap                    highest level
+//   effect(level)          strength as a fraction (0.16 = 16%)
+//   requiredForCompletion  must be maxed before the world is complete
+const UPGRADE_TYPES = [
+  {
+    id: "fireRate",
+    name: "Fire Rate",
+    description: "+{percent}% faster firing",
+    baseCost: 10,
+    costMultiplier: CONFIG.UPGRADES.COST_MULTIPLIER,
+    cap: 14,
+    effect: (level) => level * 0.08, // Shorter reload
+    requiredForCompletion: true,
+  },
+  {
+    id: "size",
+    name: "Cannonball Size",
+    description: "+{percent}% larger cannonballs",
+    baseCost: 50,
+    costMultiplier: CONFIG.UPGRADES.COST_MULTIPLIER,
+    cap: 10,
+    effect: (level) => level * 0.1, // Larger radius
+    requiredForCompletion: true,
+  },
+  {
+    id: "speed",
+    name: "Firing Speed",
+    description: "+{percent}% faster cannonballs",
+    baseCost: 40,
+    costMultiplier: CONFIG.UPGRADES.COST_MULTIPLIER,
+    cap: 10,
+    effect: (level) => level * 0.03, // Higher muzzle speed
+    requiredForCompletion: true,
+  },
+  {
+    id: "accuracy",
+    name: "Accuracy",
+    description: "+{percent}% more accurate",
+    baseCost: 25,
+    costMultiplier: CONFIG.UPGRADES.COST_MULTIPLIER,
+    cap: 10,
+    effect: (level) => Math.min(1, level * 0.1), // Less aim error
+    requiredForCompletion: true,
+  },
+];
+
+export function getUpgradeTypes() {
+  return UPGRADE_TYPES;
+}
+
+export function getUpgradeIds() {
+  return UPGRADE_TYPES.map((type) => type.id);
+}
+
+export function getUpgradeType(id) {
+  return UPGRADE_TYPES.find((type) => type.id === id) || null;
+}
+
+export function getUpgradeEffect(id, level) {
+  return getUpgradeType(id).effect(level);
+}
+
+// Upgrade id -> level cap, as the save validation expects
+export function getLevelCaps() {
+  return Object.fromEntries(UPGRADE_TYPES.map((type) => [type.id, type.cap]));
+}
+
+// Upgrade id -> 0, for a fresh start
+export function createUpgradeLevels() {
+  return Object.fromEntries(UPGRADE_TYPES.map((type) => [type.id, 0]));
+}
+
+// Whether every upgrade needed to complete a world is at its cap
+export function areCompletionUpgradesMaxed(levels) {
+  return UPGRADE_TYPES.filter((type) => type.requiredForCompletion).every(
+    (type) => (levels[type.id] || 0) >= type.cap
+  );
+}
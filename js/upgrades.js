@@ -1,28 +1,54 @@
 // Upgrade system and economy management
 import { CONFIG } from "./config.js";
 import { formatNumber } from "./utils.js";
+import { getTime, getUrlParams } from "./environment.js";
+import SaveManager from "./saveManager.js";
+import BigNumber from "./bigNumber.js";
+import EconomyLedger from "./economyLedger.js";
+import { createUpgradeLevels, getUpgradeType } from "./upgradeRegistry.js";
+
+// Ledger sources counted in the income rate (offline progress is not)
+const LIVE_INCOME_SOURCES = [
+  "castle",
+  "streakBonus",
+  "prestigeBonus",
+  "passive",
+];
 
 class UpgradeManager {
-  constructor(prestigeManager = null) {
+  constructor(
+    prestigeManager = null,
+    saveManager = new SaveManager(),
+    ledger = new EconomyLedger(saveManager)
+  ) {
     this.prestigeManager = prestigeManager;
-    this.money = 0;
-    this.totalEarned = 0;
+    this.saveManager = saveManager;
+    this.saveManager.register("economy", this);
+    this.ledger = ledger;
+    this.money = BigNumber.ZERO;
+    this.totalEarned = BigNumber.ZERO;
     this.castlesDestroyed = 0;
-    this.incomeRate = 0;
-    this.lastIncomeUpdate = Date.now();
-    this.recentEarnings = [];
+    this.flagsCaptured = 0;
+    this.incomeRate = BigNumber.ZERO;
+    this.lastIncomeUpdate = getTime();
 
     // Money streak multiplier system
     this.castlesDestroyedSinceLastUpgrade = 0;
 
+    // Running average of base castle rewards, for streak estimates and
+    // offline progress
+    this.averageCastleReward = CONFIG.OFFLINE.AVERAGE_CASTLE_REWARD;
+
+    // Running average of seconds between castles, for offline progress
+    // (0 until a castle has been timed)
+    this.averageSecondsPerCastle = 0;
+    this.lastCastleTime = null; // This session only
+
     // Passive income tracking
-    this.lastPassiveIncomeUpdate = Date.now();
+    this.lastPassiveIncomeUpdate = getTime();
 
     // Upgrade levels
-    this.upgrades = {
-      fireRate: 0,
-      size: 0,
-    };
+    this.upgrades = createUpgradeLevels();
 
     // Load saved data if available
     this.loadProgress();
@@ -36,15 +62,15 @@ class UpgradeManager {
   }
 
   checkGodMode() {
-    const urlParams = new URLSearchParams(window.location.search);
+    const urlParams = getUrlParams();
 
     // Check for money parameter
     const moneyParam = urlParams.get("money");
     if (moneyParam) {
       const startingMoney = parseInt(moneyParam, 10);
       if (!isNaN(startingMoney) && startingMoney > 0) {
-        this.money = startingMoney;
-        this.totalEarned = startingMoney;
+        this.money = BigNumber.from(startingMoney);
+        this.totalEarned = this.money;
         console.log(
           `Starting with custom money amount: $${formatNumber(startingMoney)}`
         );
@@ -71,17 +97,18 @@ class UpgradeManager {
     const streakMultiplier = this.getMoneyStreakMultiplier();
 
     // Apply prestige income multiplier
-    let prestigeMultiplier = 1;
-    if (this.prestigeManager) {
-      prestigeMultiplier = this.prestigeManager.getIncomeMultiplier();
-    }
+    const prestigeMultiplier = this.getPrestigeMultiplier();
 
-    const finalAmount = Math.floor(
-      amount * streakMultiplier * prestigeMultiplier
-    );
+    this.averageCastleReward +=
+      (amount - this.averageCastleReward) * CONFIG.MONEY.REWARD_AVERAGE_RATE;
+    this.timeCastle();
 
-    this.money += finalAmount;
-    this.totalEarned += finalAmount;
+    const baseAmount = BigNumber.from(amount);
+    const streakAmount = baseAmount.mul(streakMultiplier);
+    const finalAmount = baseAmount.mul(streakMultiplier * prestigeMultiplier);
+
+    this.money = this.money.add(finalAmount);
+    this.totalEarned = this.totalEarned.add(finalAmount);
     this.castlesDestroyed++;
     this.castlesDestroyedSinceLastUpgrade++;
 
@@ -90,17 +117,10 @@ class UpgradeManager {
       this.prestigeManager.earnGems();
     }
 
-    // Track for income rate calculation
-    this.recentEarnings.push({
-      amount: finalAmount,
-      timestamp: Date.now(),
-    });
-
-    // Keep only earnings from last 2 minutes for rate calculation
-    const twoMinutesAgo = Date.now() - 120000;
-    this.recentEarnings = this.recentEarnings.filter(
-      (earning) => earning.timestamp > twoMinutesAgo
-    );
+    // The reward split into what each multiplier added
+    this.ledger.record("castle", baseAmount);
+    this.ledger.record("streakBonus", streakAmount.sub(baseAmount));
+    this.ledger.record("prestigeBonus", finalAmount.sub(streakAmount));
 
     this.updateIncomeRate();
     this.saveProgress();
@@ -109,11 +129,35 @@ class UpgradeManager {
     return finalAmount;
   }
 
+  // Time since the previous castle. The first castle of a session and long
+  // gaps (a hidden tab) are not counted.
+  timeCastle() {
+    const now = getTime();
+    if (this.lastCastleTime !== null) {
+      const seconds = (now - this.lastCastleTime) / 1000;
+      if (seconds <= CONFIG.OFFLINE.MAX_TIMED_CASTLE_SECONDS) {
+        this.averageSecondsPerCastle =
+          this.averageSecondsPerCastle > 0
+            ? this.averageSecondsPerCastle +
+              (seconds - this.averageSecondsPerCastle) *
+                CONFIG.MONEY.REWARD_AVERAGE_RATE
+            : seconds;
+      }
+    }
+    this.lastCastleTime = now;
+  }
+
+  // A castle's flag was brought down before the castle itself
+  onFlagCaptured() {
+    this.flagsCaptured++;
+    this.saveProgress();
+  }
+
   // Update passive income based on prestige upgrades
   updatePassiveIncome() {
     if (!this.prestigeManager) return;
 
-    const now = Date.now();
+    const now = getTime();
     const timeSinceLastUpdate = now - this.lastPassiveIncomeUpdate;
 
     // Only update if at least 1 second has passed
@@ -126,66 +170,82 @@ class UpgradeManager {
       const passiveAmount = passiveIncomePerSecond * secondsElapsed;
 
       if (passiveAmount > 0) {
-        this.money += passiveAmount;
-        this.totalEarned += passiveAmount;
+        this.money = this.money.add(passiveAmount);
+        this.totalEarned = this.totalEarned.add(passiveAmount);
         this.lastPassiveIncomeUpdate = now;
-
-        // Track for income rate calculation
-        this.recentEarnings.push({
-          amount: passiveAmount,
-          timestamp: now,
-        });
+        this.ledger.record("passive", passiveAmount);
       }
     }
   }
 
+  // Money earned over the last minute
   updateIncomeRate() {
-    if (this.recentEarnings.length < 2) {
-      this.incomeRate = 0;
-      return;
-    }
+    this.incomeRate = this.ledger.getTotal(LIVE_INCOME_SOURCES, 60000);
+  }
 
-    // Calculate earnings per minute from recent data
-    const now = Date.now();
-    const oneMinuteAgo = now - 60000;
+  getUpgradeCost(upgradeType, level = this.upgrades[upgradeType]) {
+    const { baseCost, costMultiplier } = getUpgradeType(upgradeType);
+    return BigNumber.from(baseCost).mul(Math.pow(costMultiplier, level));
+  }
 
-    const recentMinuteEarnings = this.recentEarnings
-      .filter((earning) => earning.timestamp > oneMinuteAgo)
-      .reduce((sum, earning) => sum + earning.amount, 0);
+  // What a buy mode would purchase: 1 or 10 levels (fewer near the cap), or
+  // "max" for as many as the money covers. The total is the geometric cost
+  // series summed level by level, so it matches buying them one at a time.
+  // When nothing is affordable the next level is returned as a preview.
+  getBulkPurchase(upgradeType, mode = 1) {
+    const levelCap = getUpgradeType(upgradeType).cap;
+    const fromLevel = this.upgrades[upgradeType];
+    const remaining = levelCap ? levelCap - fromLevel : Infinity;
+    const wanted = mode === "max" ? remaining : Math.min(mode, remaining);
+
+    let count = 0;
+    let cost = BigNumber.ZERO;
+    while (count < wanted) {
+      const nextCost = this.getUpgradeCost(upgradeType, fromLevel + count);
+      if (mode === "max" && cost.add(nextCost).gt(this.money)) break;
+      cost = cost.add(nextCost);
+      count++;
+    }
 
-    this.incomeRate = recentMinuteEarnings;
-  }
+    if (mode === "max" && count === 0 && remaining > 0) {
+      count = 1;
+      cost = this.getUpgradeCost(upgradeType, fromLevel);
+    }
 
-  getUpgradeCost(upgradeType) {
-    const baseCost = CONFIG.UPGRADES.BASE_COSTS[upgradeType];
-    const currentLevel = this.upgrades[upgradeType];
-    return Math.floor(
-      baseCost * Math.pow(CONFIG.UPGRADES.COST_MULTIPLIER, currentLevel)
-    );
+    return {
+      count,
+      cost,
+      fromLevel,
+      toLevel: fromLevel + count,
+      canAfford: count > 0 && this.money.gte(cost),
+    };
   }
 
   canAfford(upgradeType) {
     return (
-      this.money >= this.getUpgradeCost(upgradeType) &&
+      this.money.gte(this.getUpgradeCost(upgradeType)) &&
       !this.isUpgradeMaxed(upgradeType)
     );
   }
 
   isUpgradeMaxed(upgradeType) {
-    const levelCap = CONFIG.UPGRADES.LEVEL_CAPS[upgradeType];
+    const levelCap = getUpgradeType(upgradeType).cap;
     return levelCap && this.upgrades[upgradeType] >= levelCap;
   }
 
-  purchaseUpgrade(upgradeType) {
-    if (!this.canAfford(upgradeType) || this.isUpgradeMaxed(upgradeType)) {
+  // Buy one level, or several with a bulk mode (see getBulkPurchase)
+  purchaseUpgrade(upgradeType, mode = 1) {
+    const purchase = this.getBulkPurchase(upgradeType, mode);
+    if (!purchase.canAfford) {
       return false;
     }
 
-    const cost = this.getUpgradeCost(upgradeType);
-    this.money -= cost;
-    this.upgrades[upgradeType]++;
+    this.money = this.money.sub(purchase.cost);
+    this.upgrades[upgradeType] = purchase.toLevel;
+    this.ledger.record("upgradePurchase", purchase.cost);
 
-    // Reset money streak multiplier when upgrade is purchased
+    // Reset money streak multiplier when upgrade is purchased (once for a
+    // bulk purchase, however many levels it bought)
     this.castlesDestroyedSinceLastUpgrade = 0;
 
     this.saveProgress();
@@ -201,12 +261,49 @@ class UpgradeManager {
   }
 
   getMoneyStreakMultiplier() {
-    return Math.min(
-      this.castlesDestroyedSinceLastUpgrade || 1,
-      CONFIG.MONEY.MAX_STREAK_MULTIPLIER
+    return this.getStreakMultiplierAt(this.castlesDestroyedSinceLastUpgrade);
+  }
+
+  // Multiplier paid by the next castle after a streak of this length
+  getStreakMultiplierAt(streak) {
+    return Math.min(streak || 1, CONFIG.MONEY.MAX_STREAK_MULTIPLIER);
+  }
+
+  getPrestigeMultiplier() {
+    return this.prestigeManager
+      ? this.prestigeManager.getIncomeMultiplier()
+      : 1;
+  }
+
+  // What an average castle pays at a streak multiplier
+  getExpectedCastleReward(streakMultiplier) {
+    return BigNumber.from(
+      this.averageCastleReward * streakMultiplier * this.getPrestigeMultiplier()
     );
   }
 
+  // Extra money the current streak adds to each castle over a fresh streak
+  getStreakValue() {
+    return this.getExpectedCastleReward(this.getMoneyStreakMultiplier()).sub(
+      this.getExpectedCastleReward(1)
+    );
+  }
+
+  // Money lost by resetting the streak now: the difference between the
+  // current streak and a fresh one over the castles it takes the fresh one
+  // to reach the cap
+  getStreakResetLoss() {
+    const maxStreak = CONFIG.MONEY.MAX_STREAK_MULTIPLIER;
+    const streak = this.castlesDestroyedSinceLastUpgrade;
+    let lostMultiplier = 0;
+    for (let castle = 0; castle < maxStreak; castle++) {
+      lostMultiplier +=
+        this.getStreakMultiplierAt(streak + castle) -
+        this.getStreakMultiplierAt(castle);
+    }
+    return this.getExpectedCastleReward(lostMultiplier);
+  }
+
   getStreakProgress() {
     return {
       current: this.castlesDestroyedSinceLastUpgrade,
@@ -216,116 +313,92 @@ class UpgradeManager {
   }
 
   resetUpgradesForNewWorld() {
-    this.upgrades = {
-      fireRate: 0,
-      size: 0,
-    };
-    this.money = 0; // Reset money to 0 when progressing to next world
+    this.upgrades = createUpgradeLevels();
+    // Reset money to 0 when progressing to next world
+    this.money = BigNumber.ZERO;
     this.castlesDestroyedSinceLastUpgrade = 0;
     this.saveProgress();
   }
 
-  // Save progress to localStorage
-  saveProgress() {
-    const saveData = {
-      money: this.money,
-      totalEarned: this.totalEarned,
+  // Economy section of the save document
+  getSaveData() {
+    return {
+      money: this.money.toString(),
+      totalEarned: this.totalEarned.toString(),
       castlesDestroyed: this.castlesDestroyed,
       castlesDestroyedSinceLastUpgrade: this.castlesDestroyedSinceLastUpgrade,
-      upgrades: this.upgrades,
+      flagsCaptured: this.flagsCaptured,
+      averageCastleReward: this.averageCastleReward,
+      averageSecondsPerCastle: this.averageSecondsPerCastle,
+      upgrades: { ...this.upgrades },
       lastPassiveIncomeUpdate: this.lastPassiveIncomeUpdate,
-      timestamp: Date.now(),
     };
+  }
 
-    try {
-      localStorage.setItem("idleCannon_save", JSON.stringify(saveData));
-    } catch (e) {
-      console.warn("Failed to save progress:", e);
-    }
+  // Save progress (writes every subsystem together)
+  saveProgress() {
+    this.saveManager.save();
   }
 
-  // Load progress from localStorage
+  // Load progress from the validated save document
   loadProgress() {
     try {
-      const saveData = localStorage.getItem("idleCannon_save");
-      if (saveData) {
-        const data = JSON.parse(saveData);
-
-        this.money = data.money || 0;
-        this.totalEarned = data.totalEarned || 0;
-        this.castlesDestroyed = data.castlesDestroyed || 0;
+      const data = this.saveManager.getSection("economy");
+      if (data) {
+        this.money = BigNumber.from(data.money);
+        this.totalEarned = BigNumber.from(data.totalEarned);
+        this.castlesDestroyed = data.castlesDestroyed;
         this.castlesDestroyedSinceLastUpgrade =
-          data.castlesDestroyedSinceLastUpgrade || 0;
+          data.castlesDestroyedSinceLastUpgrade;
+        this.flagsCaptured = data.flagsCaptured;
+        this.averageCastleReward = data.averageCastleReward;
+        this.averageSecondsPerCastle = data.averageSecondsPerCastle;
         this.upgrades = { ...this.upgrades, ...data.upgrades };
-        this.lastPassiveIncomeUpdate =
-          data.lastPassiveIncomeUpdate || Date.now();
-
-        // Calculate offline earnings (simple version)
-        if (data.timestamp) {
-          const offlineTime = Date.now() - data.timestamp;
-          const offlineHours = offlineTime / (1000 * 60 * 60);
-
-          if (offlineHours > 0.1 && offlineHours < 24) {
-            // Give some offline earnings based on last known income rate
-            const offlineEarnings = Math.floor(
-              this.incomeRate * (offlineHours * 60) * 0.1
-            );
-            if (offlineEarnings > 0) {
-              this.money += offlineEarnings;
-              this.totalEarned += offlineEarnings;
-              this.showOfflineEarnings(offlineEarnings, offlineHours);
-            }
-          }
-        }
+        this.lastPassiveIncomeUpdate = data.lastPassiveIncomeUpdate;
       }
     } catch (e) {
       console.warn("Failed to load progress:", e);
     }
   }
 
-  showOfflineEarnings(earnings, hours) {
-    // This could show a popup or notification
-    console.log(
-      `Welcome back! You earned $${formatNumber(
-        earnings
-      )} while away for ${hours.toFixed(1)} hours.`
-    );
+  // Credit castles and money earned while the game was closed
+  applyOfflineProgress(report) {
+    this.money = this.money.add(report.money);
+    this.totalEarned = this.totalEarned.add(report.money);
+    this.ledger.record("offline", report.money);
+    this.castlesDestroyed += report.castles;
+    this.castlesDestroyedSinceLastUpgrade += report.castles;
+
+    // Passive income for the time away is included in the report
+    this.lastPassiveIncomeUpdate = getTime();
   }
 
   // Reset all progress
   resetProgress() {
-    this.money = 0;
-    this.totalEarned = 0;
+    this.money = BigNumber.ZERO;
+    this.totalEarned = BigNumber.ZERO;
     this.castlesDestroyed = 0;
-    this.incomeRate = 0;
-    this.recentEarnings = [];
+    this.flagsCaptured = 0;
+    this.incomeRate = BigNumber.ZERO;
     this.castlesDestroyedSinceLastUpgrade = 0;
-    this.lastPassiveIncomeUpdate = Date.now();
+    this.averageCastleReward = CONFIG.OFFLINE.AVERAGE_CASTLE_REWARD;
+    this.averageSecondsPerCastle = 0;
+    this.lastCastleTime = null;
+    this.lastPassiveIncomeUpdate = getTime();
 
-    this.upgrades = {
-      fireRate: 0,
-      size: 0,
-    };
+    this.upgrades = createUpgradeLevels();
 
-    try {
-      localStorage.removeItem("idleCannon_save");
-    } catch (e) {
-      console.warn("Failed to clear save data:", e);
-    }
+    this.saveProgress();
   }
 
   resetForPrestige() {
     // Reset everything except prestige-related data
-    this.money = 0;
+    this.money = BigNumber.ZERO;
     this.castlesDestroyedSinceLastUpgrade = 0;
-    this.recentEarnings = [];
-    this.incomeRate = 0;
-    this.lastPassiveIncomeUpdate = Date.now();
+    this.incomeRate = BigNumber.ZERO;
+    this.lastPassiveIncomeUpdate = getTime();
 
-    this.upgrades = {
-      fireRate: 0,
-      size: 0,
-    };
+    this.upgrades = createUpgradeLevels();
 
     this.saveProgress();
   }
@@ -337,20 +410,25 @@ class UpgradeManager {
       totalEarned: formatNumber(this.totalEarned),
       incomeRate: formatNumber(this.incomeRate),
       castlesDestroyed: this.castlesDestroyed.toString(),
+      flagsCaptured: this.flagsCaptured.toString(),
     };
   }
 
-  // Get upgrade information for UI
-  getUpgradeInfo(upgradeType) {
+  // Get upgrade information for UI. Cost and affordability are for the
+  // levels the buy mode would purchase; nextLevel previews the result.
+  getUpgradeInfo(upgradeType, mode = 1) {
+    const definition = getUpgradeType(upgradeType);
     const level = this.upgrades[upgradeType];
-    const levelCap = CONFIG.UPGRADES.LEVEL_CAPS[upgradeType];
+    const levelCap = definition.cap;
     const isMaxed = this.isUpgradeMaxed(upgradeType);
-    const cost = isMaxed ? 0 : this.getUpgradeCost(upgradeType);
-    const canAfford = this.canAfford(upgradeType);
+    const purchase = this.getBulkPurchase(upgradeType, mode);
+    const cost = isMaxed ? BigNumber.ZERO : purchase.cost;
+    const canAfford = !isMaxed && purchase.canAfford;
 
     // Calculate effect for display
-    const effectPercent = Math.floor(
-      level * CONFIG.UPGRADES.EFFECTS[upgradeType] * 100
+    const effectPercent = Math.floor(definition.effect(level) * 100);
+    const nextEffectPercent = Math.floor(
+      definition.effect(purchase.toLevel) * 100
     );
 
     return {
@@ -362,6 +440,9 @@ class UpgradeManager {
       costFormatted: isMaxed ? "MAXED" : formatNumber(cost),
       canAfford: canAfford,
       effectPercent: effectPercent,
+      buyCount: purchase.count,
+      nextLevel: purchase.toLevel,
+      nextEffectPercent: nextEffectPercent,
       name: this.getUpgradeName(upgradeType),
       description: this.getUpgradeDescription(
         upgradeType,
@@ -372,13 +453,8 @@ class UpgradeManager {
   }
 
   getUpgradeName(upgradeType) {
-    const names = {
-      fireRate: "Fire Rate",
-      size: "Cannonball Size",
-      speed: "Firing Speed",
-      accuracy: "Accuracy",
-    };
-    return names[upgradeType] || upgradeType;
+    const definition = getUpgradeType(upgradeType);
+    return definition ? definition.name : upgradeType;
   }
 
   getUpgradeDescription(upgradeType, effectPercent, isMaxed) {
@@ -386,13 +462,10 @@ class UpgradeManager {
       return "Maximum level reached";
     }
 
-    const descriptions = {
-      fireRate: `+${effectPercent}% faster firing`,
-      size: `+${effectPercent}% larger cannonballs`,
-      speed: `+${effectPercent}% faster cannonballs`,
-      accuracy: `+${effectPercent}% more accurate`,
-    };
-    return descriptions[upgradeType] || "";
+    const definition = getUpgradeType(upgradeType);
+    return definition
+      ? definition.description.replace("{percent}", effectPercent)
+      : "";
   }
 }
 
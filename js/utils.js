@@ -1,9 +1,55 @@
 // Utility Functions
+import BigNumber from "./bigNumber.js";
+
+// Seeded pseudo-random number generator (mulberry32).
+// Anything with a next() method returning [0, 1) can be used as a random
+// source by the helpers below; they fall back to Math.random.
+export class SeededRandom {
+  constructor(seed = randomSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Draw a seed for a child generator
+  nextSeed() {
+    return Math.floor(this.next() * 4294967296);
+  }
+
+  // Independent generator, so one subsystem's draws don't shift another's
+  fork() {
+    return new SeededRandom(this.nextSeed());
+  }
+}
+
+// Unseeded random source used when no generator is passed in
+const defaultRandom = { next: () => Math.random() };
+
+// Fresh 32-bit seed
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Parse a seed from a URL parameter, returning null if it isn't a number
+export function parseSeed(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const seed = Number(value);
+  return Number.isFinite(seed) ? Math.floor(seed) >>> 0 : null;
+}
 
 // Generate gaussian random number using Box-Muller transformation
-export function gaussianRandom(mean = 0, sigma = 1) {
-  let u1 = Math.random();
-  let u2 = Math.random();
+export function gaussianRandom(mean = 0, sigma = 1, rng = defaultRandom) {
+  let u1 = 1 - rng.next(); // (0, 1] so the log stays finite
+  let u2 = rng.next();
   let z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
   return z0 * sigma + mean;
 }
@@ -83,7 +129,7 @@ function inverseNormalCDF(p) {
 }
 
 // Sample from a truncated gaussian distribution
-export function sampleGaussian(min, max, sigma, mu) {
+export function sampleGaussian(min, max, sigma, mu, rng = defaultRandom) {
   // If sigma is very small or 0, return the mean (clamped to range)
   if (sigma <= 0) {
     return Math.round(clamp(mu, min, max));
@@ -104,11 +150,11 @@ export function sampleGaussian(min, max, sigma, mu) {
 
   // If the probability mass in the range is too small, fall back to uniform
   if (phiBeta - phiAlpha < 1e-10) {
-    return randomInt(min, max);
+    return randomInt(min, max, rng);
   }
 
   // Sample uniformly from [Φ(α), Φ(β)]
-  const u = Math.random() * (phiBeta - phiAlpha) + phiAlpha;
+  const u = rng.next() * (phiBeta - phiAlpha) + phiAlpha;
 
   // Convert back to original space using inverse CDF
   const z = inverseNormalCDF(u);
@@ -118,21 +164,87 @@ export function sampleGaussian(min, max, sigma, mu) {
   return Math.round(clamp(sample, min, max));
 }
 
-// Format large numbers with suffixes (k, m, b, t)
-export function formatNumber(num) {
-  const suffixes = ["", "k", "m", "b", "t", "q"];
-  let suffixIndex = 0;
+// Ways to write large numbers, chosen in the settings panel
+export const NUMBER_NOTATIONS = [
+  { id: "suffixes", name: "Suffixes", example: "1.5m" },
+  { id: "letters", name: "Letters", example: "1.5aa" },
+  { id: "scientific", name: "Scientific", example: "1.50e6" },
+  { id: "engineering", name: "Engineering", example: "15.0e6" },
+];
+
+// One suffix per power of 1000 (short scale). Larger numbers fall back to
+// scientific notation.
+const SUFFIXES = ["", "k", "m", "b", "t", "q", "qi", "sx", "sp", "oc", "no"];
+const LETTERS = "abcdefghijklmnopqrstuvwxyz";
+
+let numberNotation = NUMBER_NOTATIONS[0].id;
+
+export function getNumberNotation() {
+  return numberNotation;
+}
+
+export function setNumberNotation(notation) {
+  if (NUMBER_NOTATIONS.some((option) => option.id === notation)) {
+    numberNotation = notation;
+  }
+}
+
+// Letter notation: k, m, b and t, then aa, ab, ... az, ba, ... zz
+function getLetterSuffix(group) {
+  if (group < 5) return SUFFIXES[group];
+  const index = group - 5;
+  const count = LETTERS.length;
+  if (index >= count * count) return null;
+  return LETTERS[Math.floor(index / count)] + LETTERS[index % count];
+}
+
+// Format money, gems and counts (numbers, digit strings or BigNumbers) in the
+// chosen notation. Below 1000 every notation shows the whole number.
+export function formatNumber(num, notation = numberNotation) {
+  if (!BigNumber.isValid(num)) {
+    return String(num);
+  }
+
+  const value = BigNumber.from(num);
+  if (value.isNegative()) {
+    return `-${formatNumber(value.mul(-1), notation)}`;
+  }
+  if (value.lt(1000)) {
+    return value.toString();
+  }
+
+  let { mantissa, exponent } = value.toScientific();
+  if (notation === "scientific") {
+    // 9.999e5 is written as 1.00e6
+    if (Number(mantissa.toFixed(2)) >= 10) {
+      mantissa /= 10;
+      exponent++;
+    }
+    return `${mantissa.toFixed(2)}e${exponent}`;
+  }
 
-  while (num >= 1000 && suffixIndex < suffixes.length - 1) {
-    num /= 1000;
-    suffixIndex++;
+  // The rest group digits in thousands
+  const decimalsFor = (scaled) => {
+    const places = scaled < 10 ? 2 : scaled < 100 ? 1 : 0;
+    return notation === "engineering" ? places : Math.max(0, places - 1);
+  };
+  // Rounding can carry into the next power (9.99 to 10.0, or 999.9k to 1.0m)
+  let group = Math.floor(exponent / 3);
+  const exact = mantissa * Math.pow(10, exponent % 3);
+  let scaled = Number(exact.toFixed(decimalsFor(exact)));
+  if (scaled >= 1000) {
+    scaled /= 1000;
+    group++;
   }
+  const digits = scaled.toFixed(decimalsFor(scaled));
 
-  if (suffixIndex === 0) {
-    return Math.floor(num).toString();
+  if (notation === "engineering") {
+    return `${digits}e${group * 3}`;
   }
 
-  return `${num.toFixed(num < 10 ? 1 : 0)}${suffixes[suffixIndex]}`;
+  const suffix =
+    notation === "letters" ? getLetterSuffix(group) : SUFFIXES[group];
+  return suffix ? `${digits}${suffix}` : formatNumber(value, "scientific");
 }
 
 // Linear interpolation
@@ -151,13 +263,13 @@ export function distance(x1, y1, x2, y2) {
 }
 
 // Random integer between min and max (inclusive)
-export function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+export function randomInt(min, max, rng = defaultRandom) {
+  return Math.floor(rng.next() * (max - min + 1)) + min;
 }
 
 // Random float between min and max
-export function randomFloat(min, max) {
-  return Math.random() * (max - min) + min;
+export function randomFloat(min, max, rng = defaultRandom) {
+  return rng.next() * (max - min) + min;
 }
 
 // Angle between two points
@@ -181,8 +293,8 @@ export function circleCollision(x1, y1, r1, x2, y2, r2) {
 }
 
 // Get random element from array
-export function randomChoice(array) {
-  return array[Math.floor(Math.random() * array.length)];
+export function randomChoice(array, rng = defaultRandom) {
+  return array[Math.floor(rng.next() * array.length)];
 }
 
 // Simple easing functions
@@ -1,8 +1,14 @@
 // World progression system management
 import { CONFIG } from './config.js';
+import { getUrlParams, isBrowser } from './environment.js';
+import SaveManager from './saveManager.js';
+import { areCompletionUpgradesMaxed } from './upgradeRegistry.js';
 
 class WorldManager {
-  constructor() {
+  constructor(saveManager = new SaveManager()) {
+    this.saveManager = saveManager;
+    this.saveManager.register('world', this);
+
     this.currentWorldId = 1;
     this.castlesDestroyedInCurrentWorld = 0;
     this.isReadyForNextWorld = false;
@@ -19,7 +25,7 @@ class WorldManager {
   }
 
   checkWorldParameter() {
-    const urlParams = new URLSearchParams(window.location.search);
+    const urlParams = getUrlParams();
     const worldParam = urlParams.get('world');
     if (worldParam) {
       const worldId = parseInt(worldParam);
@@ -33,7 +39,7 @@ class WorldManager {
   }
 
   checkBuildTableParameter() {
-    const urlParams = new URLSearchParams(window.location.search);
+    const urlParams = getUrlParams();
     const buildTableParam = urlParams.get('buildTable');
     if (buildTableParam === 'true') {
       this.buildTableMode = true;
@@ -60,20 +66,30 @@ class WorldManager {
     return this.getCurrentWorld().speed || CONFIG.CANNON.SPEED;
   }
 
-  onCastleDestroyed() {
-    this.castlesDestroyedInCurrentWorld++;
+  // Every bossEvery-th castle in a world is a boss castle. ?boss=true makes
+  // every castle a boss for testing.
+  isNextCastleBoss() {
+    if (getUrlParams().get('boss') === 'true') return true;
+
+    const bossEvery = this.getCurrentWorld().bossEvery;
+    return (
+      bossEvery > 0 &&
+      (this.castlesDestroyedInCurrentWorld + 1) % bossEvery === 0
+    );
+  }
+
+  onCastleDestroyed(count = 1) {
+    this.castlesDestroyedInCurrentWorld += count;
     this.saveProgress();
   }
 
   checkWorldCompletion(upgradeManager) {
     const currentWorld = this.getCurrentWorld();
-    const upgrades = upgradeManager.getAllUpgradeLevels();
 
-    // Check if all upgrades are maxed
-    const fireRateMaxed =
-      upgrades.fireRate >= CONFIG.UPGRADES.LEVEL_CAPS.fireRate;
-    const sizeMaxed = upgrades.size >= CONFIG.UPGRADES.LEVEL_CAPS.size;
-    const upgradesMaxed = fireRateMaxed && sizeMaxed;
+    // Check if every upgrade the world needs is maxed
+    const upgradesMaxed = areCompletionUpgradesMaxed(
+      upgradeManager.getAllUpgradeLevels()
+    );
 
     // Check if enough castles destroyed after maxing upgrades
     const enoughCastles =
@@ -121,6 +137,7 @@ class WorldManager {
     // Update physics gravity
     if (physicsWorld && physicsWorld.engine) {
       physicsWorld.engine.world.gravity.y = world.gravity;
+      physicsWorld.setWeather(world.weather || null);
     }
 
     // Update color constants for immediate use
@@ -136,6 +153,9 @@ class WorldManager {
   }
 
   updateHTMLBackground(colors) {
+    // Nothing to theme when running headless
+    if (!isBrowser()) return;
+
     // Update body background gradient
     document.body.style.background = `linear-gradient(to bottom, ${colors.sky} 0%, ${colors.grass} 100%)`;
 
@@ -153,12 +173,9 @@ class WorldManager {
 
   getCompletionProgressText(upgradeManager) {
     const currentWorld = this.getCurrentWorld();
-    const upgrades = upgradeManager.getAllUpgradeLevels();
-
-    const fireRateMaxed =
-      upgrades.fireRate >= CONFIG.UPGRADES.LEVEL_CAPS.fireRate;
-    const sizeMaxed = upgrades.size >= CONFIG.UPGRADES.LEVEL_CAPS.size;
-    const upgradesMaxed = fireRateMaxed && sizeMaxed;
+    const upgradesMaxed = areCompletionUpgradesMaxed(
+      upgradeManager.getAllUpgradeLevels()
+    );
 
     if (!upgradesMaxed) {
       return 'Max all upgrades to unlock world progression';
@@ -179,32 +196,25 @@ class WorldManager {
     }
   }
 
-  saveProgress() {
-    const saveData = {
+  // World section of the save document
+  getSaveData() {
+    return {
       currentWorldId: this.currentWorldId,
       castlesDestroyedInCurrentWorld: this.castlesDestroyedInCurrentWorld,
       isReadyForNextWorld: this.isReadyForNextWorld,
     };
+  }
 
-    try {
-      localStorage.setItem('idleCannon_world', JSON.stringify(saveData));
-    } catch (e) {
-      console.warn('Failed to save world progress:', e);
-    }
+  saveProgress() {
+    this.saveManager.save();
   }
 
   loadProgress() {
-    try {
-      const saveData = localStorage.getItem('idleCannon_world');
-      if (saveData) {
-        const data = JSON.parse(saveData);
-        this.currentWorldId = data.currentWorldId || 1;
-        this.castlesDestroyedInCurrentWorld =
-          data.castlesDestroyedInCurrentWorld || 0;
-        this.isReadyForNextWorld = data.isReadyForNextWorld || false;
-      }
-    } catch (e) {
-      console.warn('Failed to load world progress:', e);
+    const data = this.saveManager.getSection('world');
+    if (data) {
+      this.currentWorldId = data.currentWorldId;
+      this.castlesDestroyedInCurrentWorld = data.castlesDestroyedInCurrentWorld;
+      this.isReadyForNextWorld = data.isReadyForNextWorld;
     }
   }
 
@@ -212,12 +222,7 @@ class WorldManager {
     this.currentWorldId = 1;
     this.castlesDestroyedInCurrentWorld = 0;
     this.isReadyForNextWorld = false;
-
-    try {
-      localStorage.removeItem('idleCannon_world');
-    } catch (e) {
-      console.warn('Failed to clear world save data:', e);
-    }
+    this.saveProgress();
   }
 
   resetToWorld1() {
@@ -0,0 +1,139 @@
+// Firing table generator - builds data/firing-table/world-N-size-L.js in Node
+//
+// Usage:
+//   npm install --no-save matter-js@0.19.0
+//   node tools/buildFiringTables.mjs [--world=N|all] [--sizes=L,L,...|all]
+//                                    [--step=16.67] [--out=DIR]
+//
+// Writes world-N-size-L.js for each world N and size level L into
+// data/firing-table (or --out). --world defaults to every world.
+//
+// Drives the same FiringTableBuilder and Matter.js physics as
+// index.html?buildTable=true, but at a fixed timestep instead of real time,
+// and writes the module files directly.
+//
+// Hits depend on the cannonball radius, so one table is written per size
+// upgrade level. --sizes defaults to the levels the game looks up
+// (FIRING_TABLE_SIZE_LEVELS, 0,5,10); "all" sweeps every level up to the cap.
+//
+// Needs Matter.js 0.19.0 and stops under any other version (see "Headless
+// Simulation" in README.md). Files are written with CRLF line endings like
+// the committed ones.
+
+import { mkdir, writeFile } from "node:fs/promises";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import Matter from "matter-js";
+
+const MATTER_VERSION = "0.19.0";
+if (Matter.version !== MATTER_VERSION) {
+  console.error(
+    `Matter.js ${Matter.version} is installed, but the tables need ` +
+      `${MATTER_VERSION}: npm install --no-save matter-js@${MATTER_VERSION}`
+  );
+  process.exit(1);
+}
+
+// The game expects Matter.js as a browser global
+globalThis.Matter = Matter;
+
+const { CONFIG } = await import("../js/config.js");
+const { default: PhysicsWorld } = await import("../js/physics.js");
+const { default: Cannon } = await import("../js/cannon.js");
+const { default: WorldManager } = await import("../js/worldManager.js");
+const { default: FiringTableBuilder } = await import(
+  "../js/firingTableBuilder.js"
+);
+const { FIRING_TABLE_SIZE_LEVELS } = await import("../js/trajectoryUtils.js");
+const { getUpgradeType } = await import("../js/upgradeRegistry.js");
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+
+function parseSizes(value) {
+  if (value === "all") {
+    const cap = getUpgradeType("size").cap;
+    return Array.from({ length: cap + 1 }, (_, level) => level);
+  }
+  return value.split(",").map((level) => parseInt(level, 10));
+}
+
+function parseArgs(argv) {
+  const args = {
+    world: "all",
+    sizes: FIRING_TABLE_SIZE_LEVELS,
+    step: 16.67,
+    out: join(ROOT, "data", "firing-table"),
+  };
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, "").split("=");
+    if (key === "world") args.world = value;
+    if (key === "sizes") args.sizes = parseSizes(value);
+    if (key === "step") args.step = parseFloat(value);
+    if (key === "out") args.out = resolve(value);
+  }
+  return args;
+}
+
+async function buildWorld(worldId, sizeLevel, stepMs) {
+  const physics = new PhysicsWorld();
+  const worldManager = new WorldManager();
+  worldManager.currentWorldId = worldId;
+  worldManager.applyWorldSettings(physics);
+
+  const cannon = new Cannon(
+    CONFIG.CANNON.X,
+    CONFIG.CANNON.Y,
+    physics,
+    null,
+    worldManager
+  );
+  cannon.upgrades.size = sizeLevel;
+
+  const builder = new FiringTableBuilder(
+    { width: CONFIG.CANVAS.WIDTH, height: CONFIG.CANVAS.HEIGHT },
+    null,
+    physics,
+    cannon,
+    worldManager
+  );
+
+  const table = await builder.buildWithFixedTimestep(stepMs);
+  return {
+    fileName: builder.getFileName(),
+    output: builder.generateExportString(table),
+  };
+}
+
+const args = parseArgs(process.argv.slice(2));
+const worldIds =
+  args.world === "all"
+    ? CONFIG.WORLDS.map((world) => world.id)
+    : [parseInt(args.world, 10)];
+
+for (const worldId of worldIds) {
+  if (!CONFIG.WORLDS.some((world) => world.id === worldId)) {
+    console.error(`Unknown world: ${args.world}`);
+    process.exit(1);
+  }
+}
+
+await mkdir(args.out, { recursive: true });
+
+for (const worldId of worldIds) {
+  for (const sizeLevel of args.sizes) {
+    const started = Date.now();
+    const { fileName, output } = await buildWorld(
+      worldId,
+      sizeLevel,
+      args.step
+    );
+    const file = join(args.out, fileName);
+    await writeFile(file, output.replace(/\r?\n/g, "\r\n"));
+    console.log(
+      `World ${worldId}, size ${sizeLevel}: wrote ${file} in ${(
+        (Date.now() - started) /
+        1000
+      ).toFixed(1)}s`
+    );
+  }
+}
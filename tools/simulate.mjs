@@ -0,0 +1,103 @@
+// Headless simulation runner - plays the real game logic in Node
+//
+// Usage:
+//   npm install --no-save matter-js@0.19.0
+//   node tools/simulate.mjs [--minutes=10] [--world=1] [--seed=N] [--buy]
+//                           [--targeting=ID]
+//
+// Needs Matter.js 0.19.0 and stops under any other version (see "Headless
+// Simulation" in README.md).
+//
+// --buy purchases the cheapest affordable upgrade whenever possible, which is
+// a crude stand-in for a player and useful for balance experiments.
+// --targeting forces a targeting strategy (CONFIG.TARGETING ids) to compare
+// them on the same seed.
+
+import Matter from "matter-js";
+
+const MATTER_VERSION = "0.19.0";
+if (Matter.version !== MATTER_VERSION) {
+  console.error(
+    `Matter.js ${Matter.version} is installed, but the simulation needs ` +
+      `${MATTER_VERSION}: npm install --no-save matter-js@${MATTER_VERSION}`
+  );
+  process.exit(1);
+}
+
+// The game expects Matter.js as a browser global
+globalThis.Matter = Matter;
+
+const { default: Game } = await import("../js/main.js");
+
+const FRAME_MS = 16.67;
+
+function parseArgs(argv) {
+  const args = {
+    minutes: 10,
+    world: 1,
+    seed: undefined,
+    buy: false,
+    targeting: null,
+  };
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, "").split("=");
+    if (key === "minutes") args.minutes = parseFloat(value);
+    if (key === "world") args.world = parseInt(value, 10);
+    if (key === "seed") args.seed = parseInt(value, 10);
+    if (key === "buy") args.buy = true;
+    if (key === "targeting") args.targeting = value;
+  }
+  return args;
+}
+
+function buyCheapestUpgrade(game) {
+  const levels = game.upgradeManager.getAllUpgradeLevels();
+  const affordable = Object.keys(levels)
+    .filter((type) => game.upgradeManager.canAfford(type))
+    .sort((a, b) =>
+      game.upgradeManager
+        .getUpgradeCost(a)
+        .compare(game.upgradeManager.getUpgradeCost(b))
+    );
+
+  const type = affordable[0];
+  if (type && game.upgradeManager.purchaseUpgrade(type)) {
+    game.onUpgradePurchased(type);
+  }
+}
+
+const args = parseArgs(process.argv.slice(2));
+const game = new Game({
+  headless: true,
+  search: `?world=${args.world}${
+    args.targeting ? `&targeting=${args.targeting}` : ""
+  }`,
+  seed: args.seed,
+});
+
+const totalFrames = Math.round((args.minutes * 60000) / FRAME_MS);
+for (let frame = 0; frame < totalFrames; frame++) {
+  await game.step(FRAME_MS);
+
+  if (args.buy && frame % 60 === 0) {
+    buyCheapestUpgrade(game);
+  }
+}
+
+const upgrades = game.upgradeManager;
+console.log(
+  JSON.stringify(
+    {
+      seed: game.seed,
+      simulatedMinutes: args.minutes,
+      world: game.worldManager.currentWorldId,
+      castlesDestroyed: upgrades.castlesDestroyed,
+      flagsCaptured: upgrades.flagsCaptured,
+      money: upgrades.money,
+      totalEarned: upgrades.totalEarned,
+      upgrades: upgrades.getAllUpgradeLevels(),
+    },
+    null,
+    2
+  )
+);